@@ -782,14 +782,14 @@ window.OptionsaintReadings = {
   },
   "8411": {
     "firstReading": {
-      "excerpt": "I St 3,9-15.20",
+      "excerpt": "St 3, 9-15. 20",
       "info": "“Mẹ của toàn thể chúng sinh”.",
       "title": "Bài trích sách Sáng thế",
       "content": "Sau khi Ađam ăn trái cấm,\r Chúa là Thiên Chúa đã gọi ông và nói cùng ông rằng: “Ngươi ở đâu vậy?” Ông thưa: “Con nghe tiếng Ngài trong vườn, nhưng con sợ hãi, vì con trần truồng và con ẩn núp”. \r Chúa hỏi ông: “Ai đã cho ngươi biết ngươi đang trần truồng? Có phải tại ngươi đã ăn trái cây mà Ta cấm ngươi ăn không?”\r Ađam thưa: “Người phụ nữ mà Ngài đã cho làm bạn với con,chính bà ấy đã cho con trái cây và con đã ăn”. \r Chúa là Thiên Chúa nói cùng người phụ nữ rằng: “Tại sao ngươi làm điều đó?” \r Người phụ nữ thưa: “Con rắn đã lừa dối con, và con đã ăn”. \r Chúa là Thiên Chúa phán cùng con rắn rằng: “Bởi vì mi đã làm điều đó, mi là thứ bị chúc dữ giữa mọi súc vật và thú hoang! Mi sẽ bò bằng bụng và sẽ ăn bụi đất suốt đời mi. Ta sẽ đặt mối thù giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ Bà, người miêu duệ này sẽ đạp đầu mi, còn mi sẽ cắn gót chân người”.\rRồi Ađam đặt tên cho vợ mình là Evà, vì bà là mẹ của chúng sinh. \r Đó là Lời Chúa. \r Hoặc: Cv 1,12-14 \r “Các Tông đồ đồng tâm kiên trì cầu nguyện cùng với Đức Maria, mẹ của Chúa Giêsu” \r Bài trích sách Công vụ Tông đồ \r Sau khi Chúa Giêsu lên trời, các Tông đồ rời núi Cây Dầu trở về Giêrusalem, núi này ở gần Giêrusalem, chỉ cách một quãng đường được đi trong ngày sabbat.\r Sau khi trở về thành, các ông lên phòng trên lầu.Hiện diện tại đây có các ông Phêrô, Gioan, Giacôbê, Anrê, Philipphê, Tôma, Bartôlômêô, Matthêu, Giacôbê con ông Alphê, Simon nhiệt thành, và Giuđa con ông Giacôbê. \r Mọi người đều đồng tâm kiên trì cầu nguyện, cùng với mấy người phụ nữ, với bà Maria, mẹ của Chúa Giêsu, và các anh em Người. ",
       "end": "Ðó là lời Chúa"
       },
     "psalms": {
-      "excerpt": "Tv 86 (87) 1-2.3 và 5.6-7",
+      "excerpt": "Tv 86, 1-2. 3 và 5. 6-7",
       "response": "Đáp: Hỡi thành đô của Thiên Chúa, mọi người truyền tụng những điều hiển hách về thành.",
       "verses": [
         "Xướng: Nền móng Sion được đặt trên núi thánh, Chúa yêu chuộng cửa thành   hơn mọi nơi cư ngụ của nhà Giacob.Hỡi thành đô của Thiên Chúa. Mọi người truyền tụng những điều hiển hách về thành.",
@@ -1,226 +1,259 @@
+// LỊCH CÁC THÁNH (lịch chung Việt Nam)
+// Mỗi dòng là MỘT cử hành:
+//   date: 'DD/MM'
+//   type: 'S' Lễ Trọng | 'F' Lễ Kính | 'M' Lễ Nhớ buộc | 'O' Lễ Nhớ tùy chọn
+//   name: tên thánh / tên lễ (các thánh mừng chung một lễ ghi chung một dòng)
+//   titles: tước hiệu hiển thị sau tên (giám mục, tử đạo, ...)
+//   categories: 'lord' | 'mary' | 'angel' | 'apostle' | 'evangelist' | 'martyr' | 'pope' | 'bishop' |
+//               'priest' | 'deacon' | 'doctor' | 'virgin' | 'abbot' | 'religious' | 'holy' (thánh nam nữ khác) |
+//               'dedication' (cung hiến thánh đường) | 'intention' (ngày cầu nguyện)
+//   color: 'white' | 'red' | 'purple' (tím) | 'green' | 'rose' | 'gold' | 'black'
+//   altColors: màu được phép dùng thay màu chính (vd. lễ cầu hồn: tím hoặc đen)
+//   note: ghi chú thêm (không thuộc tên lễ)
+// Nhiều dòng 'O' cùng một ngày là các lễ nhớ tùy chọn để chọn MỘT (mỗi dòng một lựa chọn).
+// from / to: năm bắt đầu / kết thúc hiệu lực trong lịch chung (tính cả hai đầu, thiếu = không giới hạn).
+// Một ngày có thể có nhiều dòng khi bậc lễ hoặc danh sách thánh thay đổi theo thời gian.
 const SAINTS_DATA = [
   // Tháng 01
-    { date: '01/01', type: 'S', feast: 'ĐỨC MARIA, MẸ THIÊN CHÚA (Lễ Trọng).', chasuble: 'Tr' },
-    { date: '02/01', type: 'M', feast: 'Thánh Basiliô Cả và Thánh Grêgôriô Nazianzênô, Giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-    { date: '03/01', type: 'O', feast: 'Danh Thánh Chúa Giêsu. (Tr).' },
+    { date: '01/01', type: 'S', name: 'ĐỨC MARIA, MẸ THIÊN CHÚA', categories: ['mary'], color: 'white' },
+    { date: '02/01', type: 'M', name: 'Thánh Basiliô Cả và Thánh Grêgôriô Nazianzênô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '03/01', type: 'O', name: 'Danh Thánh Chúa Giêsu', categories: ['lord'], color: 'white', from: 2002 },
     // Lễ Hiển Linh tại Việt Nam là lễ di động (Chúa Nhật từ 2-8/1), được xử lý trong controller.js
-    { date: '07/01', type: 'O', feast: 'Thánh Raimundô Penyafort, linh mục (Tr).' },
-    { date: '13/01', type: 'O', feast: 'Thánh Hilariô, giám mục, tiến sĩ Hội Thánh (Tr).' },
-    { date: '17/01', type: 'M', feast: 'Thánh Antôn, viện phụ.', chasuble: 'Tr' },
-    { date: '20/01', type: 'O', feast: 'Thánh Fabianô, giáo hoàng, tử đạo (Đ). Thánh Sêbastianô, tử đạo (Đ).' },
-    { date: '21/01', type: 'M', feast: 'Thánh Anê, trinh nữ, tử đạo.', chasuble: 'Đ' },
-    { date: '22/01', type: 'M', feast: 'Thánh Vinh Sơn, phó tế, tử đạo.', chasuble: 'Đ' },
-    { date: '24/01', type: 'M', feast: 'Thánh Phanxicô Salêsiô, giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-    { date: '25/01', type: 'F', feast: 'THÁNH PHAOLÔ TÔNG ĐỒ TRỞ LẠI.', chasuble: 'Tr' },
-    { date: '26/01', type: 'M', feast: 'Thánh Timôthêô và thánh Titô, giám mục.', chasuble: 'Tr' },
-    { date: '27/01', type: 'O', feast: 'Thánh Angêla Mêrici, trinh nữ (Tr).' },
-    { date: '28/01', type: 'M', feast: 'Thánh Tôma Aquinô, linh mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-    { date: '31/01', type: 'M', feast: 'Thánh Gioan Bosco, linh mục.', chasuble: 'Tr' },
+    { date: '07/01', type: 'O', name: 'Thánh Raimundô Penyafort', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '13/01', type: 'O', name: 'Thánh Hilariô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '17/01', type: 'M', name: 'Thánh Antôn', titles: ['viện phụ'], categories: ['abbot'], color: 'white' },
+    { date: '20/01', type: 'O', name: 'Thánh Fabianô', titles: ['giáo hoàng', 'tử đạo'], categories: ['pope', 'martyr'], color: 'red' },
+    { date: '20/01', type: 'O', name: 'Thánh Sêbastianô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '21/01', type: 'M', name: 'Thánh Anê', titles: ['trinh nữ', 'tử đạo'], categories: ['virgin', 'martyr'], color: 'red' },
+    { date: '22/01', type: 'M', name: 'Thánh Vinh Sơn', titles: ['phó tế', 'tử đạo'], categories: ['deacon', 'martyr'], color: 'red' },
+    { date: '24/01', type: 'M', name: 'Thánh Phanxicô Salêsiô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '25/01', type: 'F', name: 'THÁNH PHAOLÔ TÔNG ĐỒ TRỞ LẠI', categories: ['apostle'], color: 'white' },
+    { date: '26/01', type: 'M', name: 'Thánh Timôthêô và thánh Titô', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '27/01', type: 'O', name: 'Thánh Angêla Mêrici', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '28/01', type: 'M', name: 'Thánh Tôma Aquinô', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '31/01', type: 'M', name: 'Thánh Gioan Bosco', titles: ['linh mục'], categories: ['priest'], color: 'white' },
 
   // Tháng 02
-        { date: '02/02', type: 'F', feast: 'DÂNG CHÚA GIÊSU TRONG ĐỀN THÁNH (Lễ Nến).', chasuble: 'Tr' },
-        { date: '03/02', type: 'O', feast: 'Thánh Blasiô, giám mục, tử đạo (Đ). Thánh Ansgariô, giám mục (Tr).'},
-        { date: '05/02', type: 'M', feast: 'Thánh Agatha, trinh nữ, tử đạo.', chasuble: 'Đ' },
-        { date: '06/02', type: 'M', feast: 'Thánh Phaolô Miki và các bạn tử đạo.', chasuble: 'Đ' },
-        { date: '08/02', type: 'O', feast: 'Thánh Giêrônimô Êmilianô (Tr). Thánh Jôsêphina Bakhita, trinh nữ (Tr).' },
-        { date: '10/02', type: 'M', feast: 'Thánh Scholastica, trinh nữ.', chasuble: 'Tr' },
-        { date: '11/02', type: 'O', feast: 'Đức Mẹ Lộ Đức (Tr). Ngày quốc tế bệnh nhân.' },
-        { date: '14/02', type: 'M', feast: 'Thánh Cyrillô, đan sĩ và thánh Mêthôđiô, giám mục.', chasuble: 'Tr' },
-        { date: '17/02', type: 'O', feast: 'Bảy thánh lập dòng Tôi Tớ Đức Trinh Nữ Maria (Tr).' },
-        { date: '21/02', type: 'O', feast: 'Thánh Phêrô Đamianô, giám mục, tiến sĩ Hội Thánh (Tr).' },
-        { date: '22/02', type: 'F', feast: 'LẬP TÔNG TÒA THÁNH PHÊRÔ.', chasuble: 'Tr' },
-        { date: '23/02', type: 'M', feast: 'Thánh Pôlicarpô, giám mục, tử đạo.', chasuble: 'Đ' },
-        { date: '27/02', type: 'O', feast: 'Thánh Grêgôriô Naracensiô viện phụ, tiến sĩ Hội Thánh.' },
+    { date: '02/02', type: 'F', name: 'DÂNG CHÚA GIÊSU TRONG ĐỀN THÁNH (Lễ Nến)', categories: ['lord'], color: 'white' },
+    { date: '03/02', type: 'O', name: 'Thánh Blasiô', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '03/02', type: 'O', name: 'Thánh Ansgariô', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '05/02', type: 'M', name: 'Thánh Agatha', titles: ['trinh nữ', 'tử đạo'], categories: ['virgin', 'martyr'], color: 'red' },
+    { date: '06/02', type: 'M', name: 'Thánh Phaolô Miki và các bạn', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '08/02', type: 'O', name: 'Thánh Giêrônimô Êmilianô', categories: ['holy'], color: 'white' },
+    { date: '08/02', type: 'O', name: 'Thánh Jôsêphina Bakhita', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '10/02', type: 'M', name: 'Thánh Scholastica', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '11/02', type: 'O', name: 'Đức Mẹ Lộ Đức', categories: ['mary'], color: 'white', note: 'Ngày quốc tế bệnh nhân' },
+    { date: '14/02', type: 'M', name: 'Thánh Cyrillô, đan sĩ, và thánh Mêthôđiô', titles: ['giám mục'], categories: ['religious', 'bishop'], color: 'white' },
+    { date: '17/02', type: 'O', name: 'Bảy thánh lập dòng Tôi Tớ Đức Trinh Nữ Maria', categories: ['religious'], color: 'white' },
+    { date: '21/02', type: 'O', name: 'Thánh Phêrô Đamianô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '22/02', type: 'F', name: 'LẬP TÔNG TÒA THÁNH PHÊRÔ', categories: ['apostle'], color: 'white' },
+    { date: '23/02', type: 'M', name: 'Thánh Pôlicarpô', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '27/02', type: 'O', name: 'Thánh Grêgôriô Naracensiô', titles: ['viện phụ', 'tiến sĩ Hội Thánh'], categories: ['abbot', 'doctor'], color: 'white', from: 2021 },
 
   // Tháng 03
- 	    { date: '04/03', type: 'O', feast: 'Thánh Casimirô.' },
-        { date: '07/03', type: 'O', feast: 'Thánh nữ Perpêtua và thánh nữ Fêlicita, tử đạo.' },
-        { date: '08/03', type: 'O', feast: 'Thánh Gioan Thiên Chúa, tu si.' },
-        { date: '18/03', type: 'O', feast: 'Thánh Cyrilô Giêrusalem, tiến sĩ Hội Thánh.' },
-        { date: '19/03', type: 'S', feast: 'THÁNH GIUSE, BẠN TRINH NỮ MARIA (Lễ Trọng).', chasuble: 'Tr' },
-        { date: '23/03', type: 'O', feast: 'Thánh Turibiô Môgrôvêjô, giám mục.' },
-        { date: '25/03', type: 'S', feast: 'TRUYỀN TIN (Thiên Thần Truyền Tin cho Đức Mẹ).', chasuble: 'Tr' },
-
+    { date: '04/03', type: 'O', name: 'Thánh Casimirô', categories: ['holy'], color: 'white' },
+    { date: '07/03', type: 'O', name: 'Thánh nữ Perpêtua và thánh nữ Fêlicita', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '08/03', type: 'O', name: 'Thánh Gioan Thiên Chúa', titles: ['tu sĩ'], categories: ['religious'], color: 'white' },
+    { date: '18/03', type: 'O', name: 'Thánh Cyrilô Giêrusalem', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '19/03', type: 'S', name: 'THÁNH GIUSE, BẠN TRINH NỮ MARIA', categories: ['holy'], color: 'white' },
+    { date: '23/03', type: 'O', name: 'Thánh Turibiô Môgrôvêjô', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '25/03', type: 'S', name: 'TRUYỀN TIN (Thiên Thần Truyền Tin cho Đức Mẹ)', categories: ['lord'], color: 'white' },
 
   // Tháng 04
-        { date: '02/04', type: 'O', feast: 'Thánh Phanxicô Paola, ẩn tu.' },
-        { date: '04/04', type: 'O', feast: 'Thánh Isiđôrô, giám mục, tiến sĩ Hội Thánh.' },
-        { date: '05/04', type: 'O', feast: 'Thánh Vinh Sơn Ferrê, linh mục.' },
-        { date: '07/04', type: 'O', feast: 'Thánh Gioan Lasan, linh mục.' },
-        { date: '11/04', type: 'M', feast: 'Thánh Stanislaô, Giám mục.', chasuble: 'Đ' },
-        { date: '13/04', type: 'O', feast: 'Thánh Martinô I, giáo hoàng, tử đạo (Đ).' },
-        { date: '21/04', type: 'O', feast: 'Thánh Anselmô, giám mục, tiến sĩ Hội Thánh (Tr).' },
-        { date: '23/04', type: 'O', feast: 'Thánh Giorgiô, tử đạo (Đ). Thánh Ađalbertô, giám mục, tử đạo (Đ).' },
-        { date: '24/04', type: 'F', feast: 'KỶ NIỆM CUNG HIẾN NHÀ THỜ CHÍNH TÒA GIÁO PHẬN. (1983).', chasuble: 'Tr' },
-        { date: '25/04', type: 'F', feast: 'THÁNH MARCÔ, TÁC GIẢ SÁCH TIN MỪNG.', chasuble: 'Đ' },
-        { date: '28/04', type: 'O', feast: 'Thánh Phêrô Chanel, linh mục, tử đạo (Đ). Thánh Luy Grignion Montfort, linh mục (Tr).' },
-        { date: '29/04', type: 'M', feast: 'Thánh Catarina Siêna, trinh nữ, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '30/04', type: 'O', feast: 'Thánh Piô V, giáo hoàng (Tr).' },
-
+    { date: '02/04', type: 'O', name: 'Thánh Phanxicô Paola', titles: ['ẩn tu'], categories: ['religious'], color: 'white' },
+    { date: '04/04', type: 'O', name: 'Thánh Isiđôrô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '05/04', type: 'O', name: 'Thánh Vinh Sơn Ferrê', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '07/04', type: 'O', name: 'Thánh Gioan Lasan', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '11/04', type: 'M', name: 'Thánh Stanislaô', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '13/04', type: 'O', name: 'Thánh Martinô I', titles: ['giáo hoàng', 'tử đạo'], categories: ['pope', 'martyr'], color: 'red' },
+    { date: '21/04', type: 'O', name: 'Thánh Anselmô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '23/04', type: 'O', name: 'Thánh Giorgiô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '23/04', type: 'O', name: 'Thánh Ađalbertô', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '24/04', type: 'F', name: 'KỶ NIỆM CUNG HIẾN NHÀ THỜ CHÍNH TÒA GIÁO PHẬN (1983)', categories: ['dedication'], color: 'white' },
+    { date: '25/04', type: 'F', name: 'THÁNH MARCÔ', titles: ['TÁC GIẢ SÁCH TIN MỪNG'], categories: ['evangelist'], color: 'red' },
+    { date: '28/04', type: 'O', name: 'Thánh Phêrô Chanel', titles: ['linh mục', 'tử đạo'], categories: ['priest', 'martyr'], color: 'red' },
+    { date: '28/04', type: 'O', name: 'Thánh Luy Grignion Montfort', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '29/04', type: 'M', name: 'Thánh Catarina Siêna', titles: ['trinh nữ', 'tiến sĩ Hội Thánh'], categories: ['virgin', 'doctor'], color: 'white' },
+    { date: '30/04', type: 'O', name: 'Thánh Piô V', titles: ['giáo hoàng'], categories: ['pope'], color: 'white' },
 
   // Tháng 05
-        { date: '01/05', type: 'O', feast: 'Thánh Giuse Thợ (Tr).' },
-        { date: '02/05', type: 'M', feast: 'Thánh Athanasiô, giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '03/05', type: 'F', feast: 'THÁNH PHILIPPHÊ VÀ THÁNH GIACÔBÊ, Tông Đồ.', chasuble: 'Đ' },
-        { date: '12/05', type: 'O', feast: 'Thánh Nêrêô và thánh Achilêô, tử đạo (Đ). Thánh Pancratiô, tử đạo (Đ).' },
-        { date: '13/05', type: 'O', feast: 'Đức Mẹ Fatima (Tr).' },
-        { date: '14/05', type: 'F', feast: 'THÁNH MATTHIA, TÔNG ĐỒ.', chasuble: 'Đ' },
-        { date: '18/05', type: 'O', feast: 'Thánh Gioan I, giáo hoàng, tử đạo (Đ).' },
-        { date: '20/05', type: 'O', feast: 'Thánh Bernarđiô Siêna, linh mục (Tr).' },
-        { date: '21/05', type: 'O', feast: 'Thánh Christophôrô Magallanes, linh mục, và các bạn, tử đạo (Đ).' },
-        { date: '25/05', type: 'O', feast: 'Thánh Bêđa Khả Kính, linh mục, tiến sĩ Hội Thánh (Tr). Thánh Grêgôriô VII, giáo hoàng (Tr). Thánh Maria Magđalêna Pazzi, trinh nữ (Tr).' },
-        { date: '26/05', type: 'M', feast: 'Thánh Philipphê Nêri, linh mục.', chasuble: 'Tr' },
-        { date: '29/05', type: 'O', feast: 'Thánh Phaolô VI, giáo hoàng (Tr).' },
-        { date: '31/05', type: 'F', feast: 'ĐỨC MARIA THĂM VIẾNG BÀ ÊLISABETH.', chasuble: 'Tr' },
-
+    { date: '01/05', type: 'O', name: 'Thánh Giuse Thợ', categories: ['holy'], color: 'white' },
+    { date: '02/05', type: 'M', name: 'Thánh Athanasiô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '03/05', type: 'F', name: 'THÁNH PHILIPPHÊ VÀ THÁNH GIACÔBÊ', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
+    { date: '10/05', type: 'O', name: 'Thánh Gioan Avila', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white', from: 2021 },
+    { date: '12/05', type: 'O', name: 'Thánh Nêrêô và thánh Achilêô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '12/05', type: 'O', name: 'Thánh Pancratiô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '13/05', type: 'O', name: 'Đức Mẹ Fatima', categories: ['mary'], color: 'white', from: 2002 },
+    { date: '14/05', type: 'F', name: 'THÁNH MATTHIA', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
+    { date: '18/05', type: 'O', name: 'Thánh Gioan I', titles: ['giáo hoàng', 'tử đạo'], categories: ['pope', 'martyr'], color: 'red' },
+    { date: '20/05', type: 'O', name: 'Thánh Bernarđiô Siêna', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '21/05', type: 'O', name: 'Thánh Christophôrô Magallanes, linh mục, và các bạn', titles: ['tử đạo'], categories: ['priest', 'martyr'], color: 'red', from: 2002 },
+    { date: '25/05', type: 'O', name: 'Thánh Bêđa Khả Kính', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '25/05', type: 'O', name: 'Thánh Grêgôriô VII', titles: ['giáo hoàng'], categories: ['pope'], color: 'white' },
+    { date: '25/05', type: 'O', name: 'Thánh Maria Magđalêna Pazzi', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '26/05', type: 'M', name: 'Thánh Philipphê Nêri', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '29/05', type: 'O', name: 'Thánh Phaolô VI', titles: ['giáo hoàng'], categories: ['pope'], color: 'white', from: 2019 },
+    { date: '31/05', type: 'F', name: 'ĐỨC MARIA THĂM VIẾNG BÀ ÊLISABETH', categories: ['mary'], color: 'white' },
 
   // Tháng 06
-        { date: '01/06', type: 'M', feast: 'Thánh Justinô, tử đạo.', chasuble: 'Đ' },
-        { date: '02/06', type: 'O', feast: 'Thánh Marcellinô và thánh Phêrô, tử đạo (Đ).' },
-        { date: '03/06', type: 'M', feast: 'Thánh Carôlô Lwanga và các bạn tử đạo.', chasuble: 'Đ' },
-        { date: '05/06', type: 'M', feast: 'Thánh Bônifatiô, giám mục, tử đạo.', chasuble: 'Đ' },
-        { date: '06/06', type: 'O', feast: 'Thánh Norbertô, giám mục (Tr).' },
-        { date: '09/06', type: 'O', feast: 'Thánh Ephrem, phó tế, tiến sĩ Hội Thánh (Tr).' },
-        { date: '11/06', type: 'M', feast: 'Thánh Barnaba, Tông Đồ.', chasuble: 'Đ' },
-        { date: '13/06', type: 'M', feast: 'Thánh Antôn Pađôva, linh mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '19/06', type: 'O', feast: 'Thánh Romualđo, viện phụ (Tr).' },
-        { date: '21/06', type: 'M', feast: 'Thánh Luy Gonzaga, tu sĩ.', chasuble: 'Tr' },
-        { date: '22/06', type: 'O', feast: 'Thánh Paulinô, giám mục Nôla (Tr). Thánh Fisher, giám mục, tử đạo, thánh Tôma More, tử đạo (Đ).' },
-        { date: '24/06', type: 'S', feast: 'SINH NHẬT THÁNH GIOAN TẨY GIẢ (Lễ Trọng).', chasuble: 'Tr' },
-        { date: '27/06', type: 'O', feast: 'Thánh Cyrillô Alexandria, tiến sĩ Hội Thánh (Tr).' },
-        { date: '28/06', type: 'M', feast: 'Thánh Irênê, giám mục, tử đạo.', chasuble: 'Đ' },
-        { date: '29/06', type: 'S', feast: 'THÁNH PHÊRÔ VÀ THÁNH PHAOLÔ, TÔNG ĐỒ (Lễ Trọng).', chasuble: 'Đ' },
-        { date: '30/06', type: 'O', feast: 'Các thánh tử đạo tiên khởi của giáo đoàn Rôma (Đ).' },
-
+    { date: '01/06', type: 'M', name: 'Thánh Justinô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '02/06', type: 'O', name: 'Thánh Marcellinô và thánh Phêrô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '03/06', type: 'M', name: 'Thánh Carôlô Lwanga và các bạn', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '05/06', type: 'M', name: 'Thánh Bônifatiô', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '06/06', type: 'O', name: 'Thánh Norbertô', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '09/06', type: 'O', name: 'Thánh Ephrem', titles: ['phó tế', 'tiến sĩ Hội Thánh'], categories: ['deacon', 'doctor'], color: 'white' },
+    { date: '11/06', type: 'M', name: 'Thánh Barnaba', titles: ['Tông Đồ'], categories: ['apostle'], color: 'red' },
+    { date: '13/06', type: 'M', name: 'Thánh Antôn Pađôva', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '19/06', type: 'O', name: 'Thánh Romualđo', titles: ['viện phụ'], categories: ['abbot'], color: 'white' },
+    { date: '21/06', type: 'M', name: 'Thánh Luy Gonzaga', titles: ['tu sĩ'], categories: ['religious'], color: 'white' },
+    { date: '22/06', type: 'O', name: 'Thánh Paulinô', titles: ['giám mục Nôla'], categories: ['bishop'], color: 'white' },
+    { date: '22/06', type: 'O', name: 'Thánh Fisher, giám mục, và thánh Tôma More', titles: ['tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '24/06', type: 'S', name: 'SINH NHẬT THÁNH GIOAN TẨY GIẢ', categories: ['holy'], color: 'white' },
+    { date: '27/06', type: 'O', name: 'Thánh Cyrillô Alexandria', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '28/06', type: 'M', name: 'Thánh Irênê', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '29/06', type: 'S', name: 'THÁNH PHÊRÔ VÀ THÁNH PHAOLÔ', titles: ['TÔNG ĐỒ'], categories: ['apostle', 'martyr'], color: 'red' },
+    { date: '30/06', type: 'O', name: 'Các thánh tử đạo tiên khởi của giáo đoàn Rôma', categories: ['martyr'], color: 'red' },
 
   // Tháng 07
-        { date: '03/07', type: 'F', feast: 'THÁNH TÔMA, TÔNG ĐỒ.', chasuble: 'Đ' },
-        { date: '04/07', type: 'O', feast: 'Thánh nữ ÊlisaBeth Bồ Đào Nha (Tr).' },
-        { date: '05/07', type: 'O', feast: 'Thánh Antôn Maria Zaccaria, linh mục (Tr).' },
-        { date: '06/07', type: 'O', feast: 'Thánh Maria Gôretti, trinh nữ, tử đạo (Đ).' },
-        { date: '09/07', type: 'O', feast: 'Thánh Augustinô Zhao Rong, linh mục, và các bạn, tử đạo (Đ).' },
-        { date: '11/07', type: 'M', feast: 'Thánh Bênêđictô, viện phụ.', chasuble: 'Tr' },
-        { date: '13/07', type: 'O', feast: 'Thánh Henricô (Tr).' },
-        { date: '14/07', type: 'O', feast: 'Thánh Camillô Lellis, linh mục (Tr).' },
-        { date: '15/07', type: 'M', feast: 'Thánh Bônaventura, giám mục, tiến sĩ Hội thánh.', chasuble: 'Tr' },
-        { date: '16/07', type: 'O', feast: 'Đức Mẹ núi Carmêlô (Tr).' },
-        { date: '20/07', type: 'O', feast: 'Thánh Apôllinarê, giám mục tử đạo (Đ).' },
-        { date: '21/07', type: 'O', feast: 'Thánh Laurensô Brinđisi, linh mục, tiến sĩ Hội Thánh (Tr).' },
-        { date: '22/07', type: 'F', feast: 'THÁNH NỮ MARIA MAGĐALÊNA.', chasuble: 'Tr' },
-        { date: '23/07', type: 'O', feast: 'Thánh Birgitta, nữ tu (Tr).' },
-        { date: '24/07', type: 'O', feast: 'Thánh Sarbêliô Makhluf, linh mục (Tr).' },
-        { date: '25/07', type: 'F', feast: 'THÁNH GIACÔBÊ, TÔNG ĐỒ.', chasuble: 'Đ' },
-        { date: '26/07', type: 'M', feast: 'Thánh Gioa-Kim và thánh Anna, song thân Đức Maria.', chasuble: 'Tr' },
-        { date: '29/07', type: 'M', feast: 'Thánh Nữ Martha, Maria và Lazarô.', chasuble: 'Tr' },
-        { date: '30/07', type: 'O', feast: 'Thánh Phêrô Kim Ngôn, giám mục tiến sĩ Hội Thánh (Tr).' },
-        { date: '31/07', type: 'M', feast: 'Thánh Ignatiô Loyôla, linh mục.', chasuble: 'Tr' },
-
+    { date: '03/07', type: 'F', name: 'THÁNH TÔMA', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
+    { date: '04/07', type: 'O', name: 'Thánh nữ Êlisabeth Bồ Đào Nha', categories: ['holy'], color: 'white' },
+    { date: '05/07', type: 'O', name: 'Thánh Antôn Maria Zaccaria', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '06/07', type: 'O', name: 'Thánh Maria Gôretti', titles: ['trinh nữ', 'tử đạo'], categories: ['virgin', 'martyr'], color: 'red' },
+    { date: '09/07', type: 'O', name: 'Thánh Augustinô Zhao Rong, linh mục, và các bạn', titles: ['tử đạo'], categories: ['priest', 'martyr'], color: 'red' },
+    { date: '11/07', type: 'M', name: 'Thánh Bênêđictô', titles: ['viện phụ'], categories: ['abbot'], color: 'white' },
+    { date: '13/07', type: 'O', name: 'Thánh Henricô', categories: ['holy'], color: 'white' },
+    { date: '14/07', type: 'O', name: 'Thánh Camillô Lellis', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '15/07', type: 'M', name: 'Thánh Bônaventura', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '16/07', type: 'O', name: 'Đức Mẹ núi Carmêlô', categories: ['mary'], color: 'white' },
+    { date: '20/07', type: 'O', name: 'Thánh Apôllinarê', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '21/07', type: 'O', name: 'Thánh Laurensô Brinđisi', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '22/07', type: 'M', name: 'Thánh Maria Magđalêna', categories: ['holy'], color: 'white', to: 2015 },
+    { date: '22/07', type: 'F', name: 'THÁNH NỮ MARIA MAGĐALÊNA', categories: ['holy'], color: 'white', from: 2016 },
+    { date: '23/07', type: 'O', name: 'Thánh Birgitta', titles: ['nữ tu'], categories: ['religious'], color: 'white' },
+    { date: '24/07', type: 'O', name: 'Thánh Sarbêliô Makhluf', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '25/07', type: 'F', name: 'THÁNH GIACÔBÊ', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
+    { date: '26/07', type: 'M', name: 'Thánh Gioa-Kim và thánh Anna', titles: ['song thân Đức Maria'], categories: ['holy'], color: 'white' },
+    { date: '29/07', type: 'M', name: 'Thánh Nữ Martha', categories: ['holy'], color: 'white', to: 2020 },
+    { date: '29/07', type: 'M', name: 'Thánh Nữ Martha, Maria và Lazarô', categories: ['holy'], color: 'white', from: 2021 },
+    { date: '30/07', type: 'O', name: 'Thánh Phêrô Kim Ngôn', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '31/07', type: 'M', name: 'Thánh Ignatiô Loyôla', titles: ['linh mục'], categories: ['priest'], color: 'white' },
 
   // Tháng 08
-        { date: '01/08', type: 'M', feast: 'Thánh Alphongsô Maria Liguori, giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '02/08', type: 'O', feast: 'Thánh Êusêbiô Vercellêsi (Tr). Thánh Phêrô Julianô Eymand, linh mục (Tr)' },
-        { date: '04/08', type: 'M', feast: 'Thánh Gioan Maria Vianney, linh mục.', chasuble: 'Tr' },
-        { date: '05/08', type: 'O', feast: 'Cung hiến thánh đường Đức Maria (Tr).' },
-        { date: '06/08', type: 'F', feast: 'CHÚA HIỂN DUNG.', chasuble: 'Tr' },
-        { date: '07/08', type: 'O', feast: 'Thánh Xystô II, giáo hoàng, và các bạn, tử đạo (Đ). Thánh Cajêtanô, linh mục (Tr).' },
-        { date: '08/08', type: 'M', feast: 'Thánh Đa Minh, linh mục.', chasuble: 'Tr' },
-        { date: '09/08', type: 'O', feast: 'Thánh Têrêsa Bênêđicta, Thánh Giá, nữ tu, tử đạo (Đ).' },
-        { date: '10/08', type: 'F', feast: 'THÁNH LAURENSÔ, PHÓ TẾ, TỬ ĐẠO.', chasuble: 'Đ' },
-        { date: '11/08', type: 'M', feast: 'Thánh Clara, trinh nữ.', chasuble: 'Tr' },
-        { date: '12/08', type: 'O', feast: 'Thánh Joanna Phanxica Chantal, nữ tu (Tr).' },
-        { date: '13/08', type: 'O', feast: 'Thánh Pôntianô, giáo hoàng, tử đạo, và thánh Hippôlytô, linh mục, tử đạo (Đ).' },
-        { date: '14/08', type: 'M', feast: 'Thánh Maximilianô Maria Kolbê, linh mục, tử đạo.', chasuble: 'Đ' },
-        { date: '15/08', type: 'S', feast: 'ĐỨC MARIA HỒN XÁC LÊN TRỜI (Lễ Trọng).', chasuble: 'Tr' },
-        { date: '19/08', type: 'O', feast: 'Thánh Gioan Êuđê, linh mục (Tr).' },
-        { date: '20/08', type: 'M', feast: 'Thánh Bêrnarđô, viện phụ, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '21/08', type: 'M', feast: 'Thánh Piô X, giáo hoàng.', chasuble: 'Tr' },
-        { date: '22/08', type: 'M', feast: 'Đức Maria Nữ Vương.', chasuble: 'Tr' },
-        { date: '23/08', type: 'O', feast: 'Thánh Rôsa Lima, trinh nữ (Tr).' },
-        { date: '24/08', type: 'F', feast: 'THÁNH BARTHÔLÔMÊO, TÔNG ĐỒ.', chasuble: 'Đ' },
-        { date: '25/08', type: 'O', feast: 'Thánh Luy (Tr). Thánh Giuse Calasanz, linh mục (Tr).' },
-        { date: '27/08', type: 'M', feast: 'Thánh Monica.', chasuble: 'Tr' },
-        { date: '28/08', type: 'M', feast: 'Thánh Augustinô, giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '29/08', type: 'M', feast: 'Thánh Gioan Tẩy Giả bị trảm quyết.', chasuble: 'Đ' },
-	
+    { date: '01/08', type: 'M', name: 'Thánh Alphongsô Maria Liguori', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '02/08', type: 'O', name: 'Thánh Êusêbiô Vercellêsi', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '02/08', type: 'O', name: 'Thánh Phêrô Julianô Eymard', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '04/08', type: 'M', name: 'Thánh Gioan Maria Vianney', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '05/08', type: 'O', name: 'Cung hiến thánh đường Đức Maria', categories: ['mary', 'dedication'], color: 'white' },
+    { date: '06/08', type: 'F', name: 'CHÚA HIỂN DUNG', categories: ['lord'], color: 'white' },
+    { date: '07/08', type: 'O', name: 'Thánh Xystô II, giáo hoàng, và các bạn', titles: ['tử đạo'], categories: ['pope', 'martyr'], color: 'red' },
+    { date: '07/08', type: 'O', name: 'Thánh Cajêtanô', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '08/08', type: 'M', name: 'Thánh Đa Minh', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '09/08', type: 'O', name: 'Thánh Têrêsa Bênêđicta Thánh Giá', titles: ['nữ tu', 'tử đạo'], categories: ['religious', 'virgin', 'martyr'], color: 'red' },
+    { date: '10/08', type: 'F', name: 'THÁNH LAURENSÔ', titles: ['PHÓ TẾ', 'TỬ ĐẠO'], categories: ['deacon', 'martyr'], color: 'red' },
+    { date: '11/08', type: 'M', name: 'Thánh Clara', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '12/08', type: 'O', name: 'Thánh Joanna Phanxica Chantal', titles: ['nữ tu'], categories: ['religious'], color: 'white' },
+    { date: '13/08', type: 'O', name: 'Thánh Pôntianô, giáo hoàng, và thánh Hippôlytô, linh mục', titles: ['tử đạo'], categories: ['pope', 'priest', 'martyr'], color: 'red' },
+    { date: '14/08', type: 'M', name: 'Thánh Maximilianô Maria Kolbê', titles: ['linh mục', 'tử đạo'], categories: ['priest', 'martyr'], color: 'red' },
+    { date: '15/08', type: 'S', name: 'ĐỨC MARIA HỒN XÁC LÊN TRỜI', categories: ['mary'], color: 'white' },
+    { date: '19/08', type: 'O', name: 'Thánh Gioan Êuđê', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '20/08', type: 'M', name: 'Thánh Bêrnarđô', titles: ['viện phụ', 'tiến sĩ Hội Thánh'], categories: ['abbot', 'doctor'], color: 'white' },
+    { date: '21/08', type: 'M', name: 'Thánh Piô X', titles: ['giáo hoàng'], categories: ['pope'], color: 'white' },
+    { date: '22/08', type: 'M', name: 'Đức Maria Nữ Vương', categories: ['mary'], color: 'white' },
+    { date: '23/08', type: 'O', name: 'Thánh Rôsa Lima', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '24/08', type: 'F', name: 'THÁNH BARTHÔLÔMÊO', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
+    { date: '25/08', type: 'O', name: 'Thánh Luy', categories: ['holy'], color: 'white' },
+    { date: '25/08', type: 'O', name: 'Thánh Giuse Calasanz', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '27/08', type: 'M', name: 'Thánh Monica', categories: ['holy'], color: 'white' },
+    { date: '28/08', type: 'M', name: 'Thánh Augustinô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '29/08', type: 'M', name: 'Thánh Gioan Tẩy Giả bị trảm quyết', categories: ['martyr'], color: 'red' },
+
   // Tháng 09
-        { date: '01/09', type: 'O', feast: 'CẦU CHO VIỆC BẢO VỆ CÔNG TRÌNH TẠO DỰNG.', chasuble: 'X'  },
-        { date: '02/09', type: 'O', feast: 'Ngày Quốc Khánh. Cầu bình an cho Tổ Quốc.' },
-        { date: '03/09', type: 'M', feast: 'Thánh Grêgôriô Cả, giáo hoàng, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '05/09', type: 'O', feast: 'Thánh Têrêsa Calcutta, nữ tu (Tr).' },
-        { date: '08/09', type: 'F', feast: 'SINH NHẬT ĐỨC ĐỨC TRINH NỮ MARIA.', chasuble: 'Tr' },
-        { date: '09/09', type: 'O', feast: 'Thánh Phêrô Claver, linh mục (Tr).' },
-        { date: '12/09', type: 'O', feast: 'Thánh Danh Đức Maria (Tr).' },
-        { date: '13/09', type: 'M', feast: 'Thánh Gioan Kim Khẩu, giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '14/09', type: 'F', feast: 'SUY TÔN THÁNH GIÁ.', chasuble: 'Đ' },
-        { date: '15/09', type: 'M', feast: 'Đức Mẹ sầu bi.', chasuble: 'Tr' },
-        { date: '16/09', type: 'M', feast: 'Thánh Cornêniô, giáo hoàng, tử đạo và thánh Cyprianô, giám mục, tử đạo.', chasuble: 'Đ' },
-        { date: '17/09', type: 'O', feast: 'Thánh Robertô Bellarminô, giám mục, tiến sĩ Hội Thánh (Tr).' },
-        { date: '19/09', type: 'O', feast: 'Thánh Januariô, giám mục, tử đạo (Đ).' },
-        { date: '20/09', type: 'M', feast: 'Thánh Anrê Kim Têgôn, linh mục, Phaolô Chong Hasang và các bạn, tử đạo.', chasuble: 'Đ' },
-        { date: '21/09', type: 'F', feast: 'THÁNH MATTHÊU. TÔNG ĐỒ.', chasuble: 'Đ' },
-        { date: '23/09', type: 'M', feast: 'Thánh Piô Pietrelcima, linh mục.', chasuble: 'Tr' },
-        { date: '26/09', type: 'O', feast: 'Thánh Cosma và thánh Đamianô, tử đạo (Đ).' },
-        { date: '27/09', type: 'M', feast: 'Thánh Vinh Sơn Phaolô (Vincente), linh mục.', chasuble: 'Tr' },
-        { date: '28/09', type: 'O', feast: 'Thánh Venceslao, tử đạo (Đ). Thánh Laurensô Ruiz và các bạn, tử đạo (Đ).' },
-        { date: '29/09', type: 'F', feast: 'CÁC TỔNG LÃNH THIÊN THẦN: THÁNH MICHAÊL, GABRIEL và RAPHAEL.', chasuble: 'Tr' },
-        { date: '30/09', type: 'M', feast: 'Thánh Giêrônimô, linh mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
+    { date: '01/09', type: 'O', name: 'CẦU CHO VIỆC BẢO VỆ CÔNG TRÌNH TẠO DỰNG', categories: ['intention'], color: 'green' },
+    { date: '02/09', type: 'O', name: 'Ngày Quốc Khánh', categories: ['intention'], color: 'white', note: 'Cầu bình an cho Tổ Quốc' },
+    { date: '03/09', type: 'M', name: 'Thánh Grêgôriô Cả', titles: ['giáo hoàng', 'tiến sĩ Hội Thánh'], categories: ['pope', 'doctor'], color: 'white' },
+    { date: '05/09', type: 'O', name: 'Thánh Têrêsa Calcutta', titles: ['nữ tu'], categories: ['religious'], color: 'white' },
+    { date: '08/09', type: 'F', name: 'SINH NHẬT ĐỨC TRINH NỮ MARIA', categories: ['mary'], color: 'white' },
+    { date: '09/09', type: 'O', name: 'Thánh Phêrô Claver', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '12/09', type: 'O', name: 'Thánh Danh Đức Maria', categories: ['mary'], color: 'white', from: 2002 },
+    { date: '13/09', type: 'M', name: 'Thánh Gioan Kim Khẩu', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '14/09', type: 'F', name: 'SUY TÔN THÁNH GIÁ', categories: ['lord'], color: 'red' },
+    { date: '15/09', type: 'M', name: 'Đức Mẹ sầu bi', categories: ['mary'], color: 'white' },
+    { date: '16/09', type: 'M', name: 'Thánh Cornêliô, giáo hoàng, và thánh Cyprianô, giám mục', titles: ['tử đạo'], categories: ['pope', 'bishop', 'martyr'], color: 'red' },
+    { date: '17/09', type: 'O', name: 'Thánh Robertô Bellarminô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '17/09', type: 'O', name: 'Thánh Hildegard Bingen', titles: ['viện mẫu', 'tiến sĩ Hội Thánh'], categories: ['abbot', 'virgin', 'doctor'], color: 'white', from: 2021 },
+    { date: '19/09', type: 'O', name: 'Thánh Januariô', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '20/09', type: 'M', name: 'Thánh Anrê Kim Têgôn, linh mục, Phaolô Chong Hasang và các bạn', titles: ['tử đạo'], categories: ['priest', 'martyr'], color: 'red' },
+    { date: '21/09', type: 'F', name: 'THÁNH MATTHÊU', titles: ['TÔNG ĐỒ'], categories: ['apostle', 'evangelist'], color: 'red' },
+    { date: '23/09', type: 'M', name: 'Thánh Piô Pietrelcina', titles: ['linh mục'], categories: ['priest'], color: 'white', from: 2002 },
+    { date: '26/09', type: 'O', name: 'Thánh Cosma và thánh Đamianô', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '27/09', type: 'M', name: 'Thánh Vinh Sơn Phaolô', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '28/09', type: 'O', name: 'Thánh Venceslao', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '28/09', type: 'O', name: 'Thánh Laurensô Ruiz và các bạn', titles: ['tử đạo'], categories: ['martyr'], color: 'red' },
+    { date: '29/09', type: 'F', name: 'CÁC TỔNG LÃNH THIÊN THẦN: THÁNH MICHAÊL, GABRIEL và RAPHAEL', categories: ['angel'], color: 'white' },
+    { date: '30/09', type: 'M', name: 'Thánh Giêrônimô', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
 
   // Tháng 10
-       { date: '01/10', type: 'F', feast: 'THÁNH TÊRÊSA HÀI ĐỒNG GIÊSU, TRINH NỮ, TIẾN SĨ HỘI THÁNH, Bổn mạng các xứ truyền giáo.', chasuble: 'Tr' },
-        { date: '02/10', type: 'M', feast: 'Các Thiên Thần Hộ Thủ.', chasuble: 'Tr' },
-        { date: '04/10', type: 'M', feast: 'Thánh Phanxicô Assisi, linh mục.', chasuble: 'Tr' },
-        { date: '05/10', type: 'O', feast: 'Thánh Maria Faustina Kôwalska, trinh nữ (Tr).' },
-        { date: '06/10', type: 'O', feast: 'Thánh Brunô, linh mục (Tr).' },
-        { date: '07/10', type: 'M', feast: 'Đức Mẹ Mân Côi.', chasuble: 'Tr' },
-        { date: '09/10', type: 'O', feast: 'Thánh Đianysio, giám mục, và các bạn, tử đạo (Đ). Thánh Gioan Lêônarđo, linh mục (Tr). Thánh John Henry Newman, tiến sĩ Hội Thánh (Tr)' },
-        { date: '11/10', type: 'O', feast: 'Thánh Gioan XXIII, giáo hoàng (Tr).' },
-        { date: '14/10', type: 'O', feast: 'Thánh Callistô I, giáo hoàng, tử đạo (Đ).' },
-        { date: '15/10', type: 'M', feast: 'Thánh Têrêsa Giêsu (Avila), trinh nữ, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '16/10', type: 'O', feast: 'Thánh Hedviges, nữ tu (Tr). Thánh Margarita Alacoque, trinh nữ (Tr).' },
-        { date: '17/10', type: 'M', feast: 'Thánh Ignatiô Antiôchia, Giám mục, tử đạo.', chasuble: 'Đ' },
-        { date: '18/10', type: 'F', feast: 'THÁNH LUCA, TÁC GIẢ SÁCH TIN MỪNG.', chasuble: 'Đ' },
-        { date: '19/10', type: 'O', feast: 'Thánh Gioan Brêbeuf, linh mục, thánh Isaac Jogues, linh mục, và các bạn, tử đạo (Đ). Thánh Phaolô Thánh Giá, linh mục (Tr).' },
-        { date: '22/10', type: 'O', feast: 'Thánh Gioan Phaolô II, giáo hoàng (Tr).' },
-        { date: '23/10', type: 'O', feast: 'Thánh Gioan Capestranô, linh mục (Tr).' },
-        { date: '24/10', type: 'O', feast: 'Thánh Antôn Maria Claret, giám mục (Tr).' },
-        { date: '28/10', type: 'F', feast: 'THÁNH SIMON VÀ THÁNH GIUĐA TÔNG ĐỒ.', chasuble: 'Đ' },
+    { date: '01/10', type: 'F', name: 'THÁNH TÊRÊSA HÀI ĐỒNG GIÊSU', titles: ['TRINH NỮ', 'TIẾN SĨ HỘI THÁNH'], categories: ['virgin', 'doctor'], color: 'white', note: 'Bổn mạng các xứ truyền giáo' },
+    { date: '02/10', type: 'M', name: 'Các Thiên Thần Hộ Thủ', categories: ['angel'], color: 'white' },
+    { date: '04/10', type: 'M', name: 'Thánh Phanxicô Assisi', categories: ['religious'], color: 'white' },
+    { date: '05/10', type: 'O', name: 'Thánh Maria Faustina Kôwalska', titles: ['trinh nữ'], categories: ['virgin'], color: 'white', from: 2020 },
+    { date: '06/10', type: 'O', name: 'Thánh Brunô', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '07/10', type: 'M', name: 'Đức Mẹ Mân Côi', categories: ['mary'], color: 'white' },
+    { date: '09/10', type: 'O', name: 'Thánh Điônysiô, giám mục, và các bạn', titles: ['tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '09/10', type: 'O', name: 'Thánh Gioan Lêônarđô', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '09/10', type: 'O', name: 'Thánh John Henry Newman', titles: ['tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '11/10', type: 'O', name: 'Thánh Gioan XXIII', titles: ['giáo hoàng'], categories: ['pope'], color: 'white', from: 2014 },
+    { date: '14/10', type: 'O', name: 'Thánh Callistô I', titles: ['giáo hoàng', 'tử đạo'], categories: ['pope', 'martyr'], color: 'red' },
+    { date: '15/10', type: 'M', name: 'Thánh Têrêsa Giêsu (Avila)', titles: ['trinh nữ', 'tiến sĩ Hội Thánh'], categories: ['virgin', 'doctor'], color: 'white' },
+    { date: '16/10', type: 'O', name: 'Thánh Hedviges', titles: ['nữ tu'], categories: ['religious'], color: 'white' },
+    { date: '16/10', type: 'O', name: 'Thánh Margarita Alacoque', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '17/10', type: 'M', name: 'Thánh Ignatiô Antiôchia', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '18/10', type: 'F', name: 'THÁNH LUCA', titles: ['TÁC GIẢ SÁCH TIN MỪNG'], categories: ['evangelist'], color: 'red' },
+    { date: '19/10', type: 'O', name: 'Thánh Gioan Brêbeuf, linh mục, thánh Isaac Jogues, linh mục, và các bạn', titles: ['tử đạo'], categories: ['priest', 'martyr'], color: 'red' },
+    { date: '19/10', type: 'O', name: 'Thánh Phaolô Thánh Giá', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '22/10', type: 'O', name: 'Thánh Gioan Phaolô II', titles: ['giáo hoàng'], categories: ['pope'], color: 'white', from: 2014 },
+    { date: '23/10', type: 'O', name: 'Thánh Gioan Capestranô', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '24/10', type: 'O', name: 'Thánh Antôn Maria Claret', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '28/10', type: 'F', name: 'THÁNH SIMON VÀ THÁNH GIUĐA', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
 
   // Tháng 11
-         { date: '01/11', type: 'S', feast: 'CÁC THÁNH NAM NỮ. Lễ trọng. Lễ cầu cho giáo dân (Lễ họ).', chasuble: 'Tr' },
-        { date: '02/11', type: 'S', feast: 'CẦU CHO CÁC TÍN HỮU ĐÃ QUA ĐỜI.', chasuble: 'Tm' },
-        { date: '03/11', type: 'O', feast: 'Thánh Martinô Porres, tu sĩ (Tr).' },
-        { date: '04/11', type: 'M', feast: 'Thánh Carlô Borômêô, giám mục.', chasuble: 'Tr' },
-        { date: '09/11', type: 'F', feast: 'CUNG HIẾN THÁNH ĐƯỜNG LATÊRANÔ.', chasuble: 'Tr' },
-        { date: '10/11', type: 'M', feast: 'Thánh Lêô Cả. giáo hoàng, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '11/11', type: 'M', feast: 'Thánh Martinô, giám mục.', chasuble: 'Tr' },
-        { date: '12/11', type: 'M', feast: 'Thánh Jôsaphát, giám mục, tử đạo.', chasuble: 'Đ' },
-        { date: '15/11', type: 'O', feast: 'Thánh Albertô Cả, giám mục, tiến sĩ Hội Thánh (Tr).' },
-        { date: '16/11', type: 'O', feast: 'Thánh nữ Magarita Scotland (Tr). Thánh Gertruđê, trinh nữ (Tr).' },
-        { date: '17/11', type: 'M', feast: 'Thánh Nữ Êlisabeth Hungari.', chasuble: 'Tr' },
-        { date: '18/11', type: 'O', feast: 'Cung hiến thánh đường thánh Phêrô và thánh đường thánh Phaolô (Tr).' },
-        { date: '21/11', type: 'M', feast: 'Đức Mẹ dâng mình trong đền thờ.', chasuble: 'Tr' },
-        { date: '22/11', type: 'M', feast: 'Thánh Cecilia, trinh nữ, tử đạo.', chasuble: 'Đ' },
-        { date: '23/11', type: 'O', feast: 'Thánh Clêmentê I, giáo hoàng, tử đạo (Đ). Thánh Côlumbanô, viện phụ (Tr).' },
-        { date: '24/11', type: 'F', feast: 'CÁC THÁNH TỬ ĐẠO VIỆT NAM (Lễ Kính/Lễ Trọng tại VN, thường dời vào Chúa Nhật).', chasuble: 'Đ' },
-        { date: '25/11', type: 'O', feast: 'Thánh Catarina Alexanđria, trinh nữ, tử đạo (Đ).' },
-        { date: '30/11', type: 'F', feast: 'THÁNH ANRÊ TÔNG ĐỒ.', chasuble: 'Đ' },
+    { date: '01/11', type: 'S', name: 'CÁC THÁNH NAM NỮ', categories: ['holy'], color: 'white', note: 'Lễ cầu cho giáo dân (Lễ họ)' },
+    { date: '02/11', type: 'S', name: 'CẦU CHO CÁC TÍN HỮU ĐÃ QUA ĐỜI', categories: ['intention'], color: 'purple', altColors: ['black'] },
+    { date: '03/11', type: 'O', name: 'Thánh Martinô Porres', titles: ['tu sĩ'], categories: ['religious'], color: 'white' },
+    { date: '04/11', type: 'M', name: 'Thánh Carlô Borômêô', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '09/11', type: 'F', name: 'CUNG HIẾN THÁNH ĐƯỜNG LATÊRANÔ', categories: ['dedication'], color: 'white' },
+    { date: '10/11', type: 'M', name: 'Thánh Lêô Cả', titles: ['giáo hoàng', 'tiến sĩ Hội Thánh'], categories: ['pope', 'doctor'], color: 'white' },
+    { date: '11/11', type: 'M', name: 'Thánh Martinô', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '12/11', type: 'M', name: 'Thánh Jôsaphát', titles: ['giám mục', 'tử đạo'], categories: ['bishop', 'martyr'], color: 'red' },
+    { date: '15/11', type: 'O', name: 'Thánh Albertô Cả', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '16/11', type: 'O', name: 'Thánh nữ Magarita Scotland', categories: ['holy'], color: 'white' },
+    { date: '16/11', type: 'O', name: 'Thánh Gertruđê', titles: ['trinh nữ'], categories: ['virgin'], color: 'white' },
+    { date: '17/11', type: 'M', name: 'Thánh Nữ Êlisabeth Hungari', categories: ['religious'], color: 'white' },
+    { date: '18/11', type: 'O', name: 'Cung hiến thánh đường thánh Phêrô và thánh đường thánh Phaolô', categories: ['dedication'], color: 'white' },
+    { date: '21/11', type: 'M', name: 'Đức Mẹ dâng mình trong đền thờ', categories: ['mary'], color: 'white' },
+    { date: '22/11', type: 'M', name: 'Thánh Cecilia', titles: ['trinh nữ', 'tử đạo'], categories: ['virgin', 'martyr'], color: 'red' },
+    { date: '23/11', type: 'O', name: 'Thánh Clêmentê I', titles: ['giáo hoàng', 'tử đạo'], categories: ['pope', 'martyr'], color: 'red' },
+    { date: '23/11', type: 'O', name: 'Thánh Côlumbanô', titles: ['viện phụ'], categories: ['abbot'], color: 'white' },
+    { date: '24/11', type: 'F', name: 'CÁC THÁNH TỬ ĐẠO VIỆT NAM', categories: ['martyr'], color: 'red', note: 'Lễ Kính/Lễ Trọng tại VN, thường dời vào Chúa Nhật' },
+    { date: '25/11', type: 'O', name: 'Thánh Catarina Alexanđria', titles: ['trinh nữ', 'tử đạo'], categories: ['virgin', 'martyr'], color: 'red' },
+    { date: '30/11', type: 'F', name: 'THÁNH ANRÊ', titles: ['TÔNG ĐỒ'], categories: ['apostle'], color: 'red' },
 
   // Tháng 12
-        { date: '03/12', type: 'F', feast: 'THÁNH PHANXICÔ XAVIÊ, Linh mục. Bổn mạng các xứ truyền giáo.', chasuble: 'Tr' },
-        { date: '04/12', type: 'O', feast: 'Thánh Gioan Đamas, linh mục, tiến sĩ Hội Thánh (Tr).' },
-        { date: '06/12', type: 'O', feast: 'Thánh Nicôla, giám mục (Tr).' },
-        { date: '07/12', type: 'M', feast: 'Thánh Ambrôsiô, giám mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '08/12', type: 'S', feast: 'ĐỨC MẸ VÔ NHIỄM NGUYÊN TỘI (Lễ Trọng).', chasuble: 'Tr' },
-        { date: '09/12', type: 'O', feast: 'Thánh Gioan Điđacô (Tr).' },
-        { date: '10/12', type: 'O', feast: 'Đức Mẹ Loretô (Tr).' },
-        { date: '12/12', type: 'O', feast: 'Đức Mẹ Guađalupê (Tr).' },
-        { date: '13/12', type: 'M', feast: 'Lucia trinh nữ, tử đạo.', chasuble: 'Đ' },
-        { date: '14/12', type: 'M', feast: 'Thánh Gioan Thánh Giá, linh mục, tiến sĩ Hội Thánh.', chasuble: 'Tr' },
-        { date: '21/12', type: 'O', feast: 'Thánh Phêrô Canisiô, linh mục, tiến sĩ Hội Thánh.' },
-        { date: '23/12', type: 'O', feast: 'Thánh Gioan Kêty, linh mục.' },
-        { date: '25/12', type: 'S', feast: 'CHÚA GIÁNG SINH (NATIVITY OF THE LORD) (Lễ Trọng).', chasuble: 'Tr' },
-        { date: '26/12', type: 'F', feast: 'THÁNH STÊPHANÔ, TỬ ĐẠO TIÊN KHỞI.', chasuble: 'Đ' },
-        { date: '27/12', type: 'F', feast: 'THÁNH GIOAN, TÔNG ĐỒ. TÁC GIẢ TIN MỪNG.', chasuble: 'Đ' },
-        { date: '28/12', type: 'F', feast: 'CÁC THÁNH ANH HÀI TỬ ĐẠO.', chasuble: 'Đ' },
-        { date: '31/12', type: 'O', feast: 'Thánh Sylvestro, giáo hoàng.'},
-    ];
\ No newline at end of file
+    { date: '03/12', type: 'F', name: 'THÁNH PHANXICÔ XAVIÊ', titles: ['LINH MỤC'], categories: ['priest'], color: 'white', note: 'Bổn mạng các xứ truyền giáo' },
+    { date: '04/12', type: 'O', name: 'Thánh Gioan Đamas', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '06/12', type: 'O', name: 'Thánh Nicôla', titles: ['giám mục'], categories: ['bishop'], color: 'white' },
+    { date: '07/12', type: 'M', name: 'Thánh Ambrôsiô', titles: ['giám mục', 'tiến sĩ Hội Thánh'], categories: ['bishop', 'doctor'], color: 'white' },
+    { date: '08/12', type: 'S', name: 'ĐỨC MẸ VÔ NHIỄM NGUYÊN TỘI', categories: ['mary'], color: 'white' },
+    { date: '09/12', type: 'O', name: 'Thánh Gioan Điđacô', categories: ['holy'], color: 'white' },
+    { date: '10/12', type: 'O', name: 'Đức Mẹ Loretô', categories: ['mary'], color: 'white', from: 2019 },
+    { date: '12/12', type: 'O', name: 'Đức Mẹ Guađalupê', categories: ['mary'], color: 'white', from: 2002 },
+    { date: '13/12', type: 'M', name: 'Thánh Lucia', titles: ['trinh nữ', 'tử đạo'], categories: ['virgin', 'martyr'], color: 'red' },
+    { date: '14/12', type: 'M', name: 'Thánh Gioan Thánh Giá', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '21/12', type: 'O', name: 'Thánh Phêrô Canisiô', titles: ['linh mục', 'tiến sĩ Hội Thánh'], categories: ['priest', 'doctor'], color: 'white' },
+    { date: '23/12', type: 'O', name: 'Thánh Gioan Kêty', titles: ['linh mục'], categories: ['priest'], color: 'white' },
+    { date: '25/12', type: 'S', name: 'CHÚA GIÁNG SINH', categories: ['lord'], color: 'white' },
+    { date: '26/12', type: 'F', name: 'THÁNH STÊPHANÔ', titles: ['TỬ ĐẠO TIÊN KHỞI'], categories: ['martyr'], color: 'red' },
+    { date: '27/12', type: 'F', name: 'THÁNH GIOAN', titles: ['TÔNG ĐỒ', 'TÁC GIẢ SÁCH TIN MỪNG'], categories: ['apostle', 'evangelist'], color: 'white' },
+    { date: '28/12', type: 'F', name: 'CÁC THÁNH ANH HÀI', titles: ['TỬ ĐẠO'], categories: ['martyr'], color: 'red' },
+    { date: '31/12', type: 'O', name: 'Thánh Sylvestrô I', titles: ['giáo hoàng'], categories: ['pope'], color: 'white' },
+    ];
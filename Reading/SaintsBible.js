@@ -2232,14 +2232,14 @@
   },
   "8411": {
     "firstReading": {
-      "excerpt": "I St 3,9-15.20",
+      "excerpt": "St 3, 9-15. 20",
       "info": "“Mẹ của toàn thể chúng sinh”.",
       "title": "Bài trích sách Sáng thế",
       "content": "Sau khi Ađam ăn trái cấm,\r Chúa là Thiên Chúa đã gọi ông và nói cùng ông rằng: “Ngươi ở đâu vậy?” Ông thưa: “Con nghe tiếng Ngài trong vườn, nhưng con sợ hãi, vì con trần truồng và con ẩn núp”. \r Chúa hỏi ông: “Ai đã cho ngươi biết ngươi đang trần truồng? Có phải tại ngươi đã ăn trái cây mà Ta cấm ngươi ăn không?”\r Ađam thưa: “Người phụ nữ mà Ngài đã cho làm bạn với con,chính bà ấy đã cho con trái cây và con đã ăn”. \r Chúa là Thiên Chúa nói cùng người phụ nữ rằng: “Tại sao ngươi làm điều đó?” \r Người phụ nữ thưa: “Con rắn đã lừa dối con, và con đã ăn”. \r Chúa là Thiên Chúa phán cùng con rắn rằng: “Bởi vì mi đã làm điều đó, mi là thứ bị chúc dữ giữa mọi súc vật và thú hoang! Mi sẽ bò bằng bụng và sẽ ăn bụi đất suốt đời mi. Ta sẽ đặt mối thù giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ Bà, người miêu duệ này sẽ đạp đầu mi, còn mi sẽ cắn gót chân người”.\rRồi Ađam đặt tên cho vợ mình là Evà, vì bà là mẹ của chúng sinh. \r Đó là Lời Chúa. \r Hoặc: Cv 1,12-14 \r “Các Tông đồ đồng tâm kiên trì cầu nguyện cùng với Đức Maria, mẹ của Chúa Giêsu” \r Bài trích sách Công vụ Tông đồ \r Sau khi Chúa Giêsu lên trời, các Tông đồ rời núi Cây Dầu trở về Giêrusalem, núi này ở gần Giêrusalem, chỉ cách một quãng đường được đi trong ngày sabbat.\r Sau khi trở về thành, các ông lên phòng trên lầu.Hiện diện tại đây có các ông Phêrô, Gioan, Giacôbê, Anrê, Philipphê, Tôma, Bartôlômêô, Matthêu, Giacôbê con ông Alphê, Simon nhiệt thành, và Giuđa con ông Giacôbê. \r Mọi người đều đồng tâm kiên trì cầu nguyện, cùng với mấy người phụ nữ, với bà Maria, mẹ của Chúa Giêsu, và các anh em Người. ",
       "end": "Ðó là lời Chúa"
       },
     "psalms": {
-      "excerpt": "Tv 86 (87) 1-2.3 và 5.6-7",
+      "excerpt": "Tv 86, 1-2. 3 và 5. 6-7",
       "response": "Đáp: Hỡi thành đô của Thiên Chúa, mọi người truyền tụng những điều hiển hách về thành.",
       "verses": [
         "Xướng: Nền móng Sion được đặt trên núi thánh, Chúa yêu chuộng cửa thành   hơn mọi nơi cư ngụ của nhà Giacob.Hỡi thành đô của Thiên Chúa. Mọi người truyền tụng những điều hiển hách về thành.",
@@ -2318,5 +2318,192 @@
         "content": "Khi ấy, các môn đệ đến bên Chúa Giêsu mà hỏi rằng: “Thưa Thầy, ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời. Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.",
         "end": "Ðó là lời Chúa"
       }
+    },
+  "70612": {
+    "firstReading": {
+      "excerpt": "1 Pr 5, 1-4",
+      "info": "“Là kỳ lão và nhân chứng cuộc khổ hình của Chúa Kitô”.",
+      "title": "Trích thư thứ nhất của Thánh Phê-rô Tông đồ.",
+      "content": "Anh em thân mến, tôi xin gởi lời khuyên bảo đến bậc Kỳ Lão trong anh em. Tôi là một Kỳ Lão như các ngài, là một nhân chứng cuộc khổ hình của Chúa Ki-tô, một kẻ sẽ được thông phần vinh quang sắp được tỏ bày. Hãy chăn dắt đoàn chiên Chúa nơi anh em, hãy trông nom nó, không phải bằng cách miễn cưỡng, mà là sẵn sàng theo thánh ý Chúa; không phải để trục lợi, mà là do tình nguyện; không phải như người chuyên chế lộng hành, nhưng phải nên gương sáng cho đoàn chiên. Và khi thủ lãnh các đấng chăn chiên xuất hiện, anh em sẽ nhận lãnh triều thiên vinh quang bất diệt.",
+      "end": "Ðó là lời Chúa"
+    },
+    "psalms": {
+      "excerpt": "Tv 22, 1-3. 4. 5. 6",
+      "response": "Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi",
+      "verses": [
+        "Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng. Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người.",
+        "Xướng: Dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.",
+        "Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.",
+        "Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."
+      ]
+    },
+    "alleluia": {
+      "verse": "Ga 15, 16",
+      "content": "alleluia! – Chúa phán: “Chính Thầy đã chọn các con, để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại”. – Alleluia."
+    },
+    "gospel": {
+      "excerpt": "Lc 10, 1-9",
+      "info": "“Lúa chín đầy đồng mà thợ gặt thì ít”.",
+      "title": "Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.",
+      "content": "Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của Người. Các con hãy đi. Này Ta sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường.\r“Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ. Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: Nước Thiên Chúa đã đến gần các ngươi”.",
+      "end": "Ðó là lời Chúa"
+    }
+  },
+  "72405AU": {
+    "firstReading": {
+      "excerpt": "Kh 11, 19a; 12, 1-6a, 10ab",
+      "info": "“Một người nữ mặc áo mặt trời, chân đạp mặt trăng”.",
+      "title": "Trích sách Khải Huyền của Thánh Gioan.",
+      "content": "Ðền thờ Thiên Chúa trên trời đã mở ra. Và một điềm lạ vĩ đại xuất hiện trên trời: một người nữ mặc áo mặt trời, chân đạp mặt trăng, đầu đội triều thiên mười hai ngôi sao: Bà đang mang thai, kêu la chuyển bụng, và đau đớn sinh con.\rLại một điềm lạ khác xuất hiện trên trời: một con rồng đỏ khổng lồ, có bảy đầu, mười sừng, và trên bảy đầu, đội bảy triều thiên. Ðuôi nó kéo đi một phần ba tinh tú trên trời mà ném xuống đất. Con rồng đứng trước mặt người nữ sắp sinh con, để khi Bà sinh con ra, thì nuốt lấy đứa trẻ.\rBà sinh được một con trai, Ðấng sẽ dùng roi sắt mà cai trị muôn dân: Con Bà được mang về cùng Thiên Chúa, đến tận ngai của Người. Còn Bà thì trốn lên rừng vắng, ở đó Bà được Thiên Chúa dọn sẵn cho một nơi.\rVà tôi nghe có tiếng lớn trên trời phán rằng: “Nay sự cứu độ, quyền năng, vương quyền của Thiên Chúa chúng ta, và uy quyền của Ðức Kitô của Người đã được thực hiện”.",
+      "end": "Ðó là lời Chúa"
+    },
+    "psalms": {
+      "excerpt": "Tv 44, 10bc. 11. 12ab. 16",
+      "response": "Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng",
+      "verses": [
+        "Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.",
+        "Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.",
+        "Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.",
+        "Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."
+      ]
+    },
+    "secondReading": {
+      "excerpt": "Gl 4, 4-7",
+      "info": "“Thiên Chúa đã sai Con Ngài sinh hạ bởi người phụ nữ”.",
+      "title": "Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Ga-lát.",
+      "content": "Anh em thân mến, khi đã tới lúc thời gian viên mãn, Thiên Chúa đã sai Con Ngài sinh hạ bởi người phụ nữ, sinh dưới chế độ Luật, để cứu chuộc những người ở dưới chế độ Luật, hầu cho chúng ta được nhận làm dưỡng tử. Sở dĩ vì anh em được làm con, Thiên Chúa đã sai Thần Trí của Con Ngài vào tâm hồn chúng ta, kêu lên rằng: “Áp-ba!”, nghĩa là “Lạy Cha!” Thế nên, bạn không còn phải là tôi tớ, nhưng là con; mà nếu là con, tất bạn cũng là người thừa kế, nhờ ơn Thiên Chúa.",
+      "end": "Ðó là lời Chúa"
+    },
+    "alleluia": {
+      "verse": "Lc 1, 45",
+      "content": "alleluia! – Hỡi Trinh Nữ Ma-ri-a, phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện. – Alleluia."
+    },
+    "gospel": {
+      "excerpt": "Ga 2, 1-12",
+      "info": "“Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa”.",
+      "title": "Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.",
+      "content": "Khi ấy, có tiệc cưới tại Cana xứ Galilêa. Và có mẹ của Chúa Giêsu ở đó. Chúa Giêsu và các môn đệ Người cũng được mời dự tiệc cưới. Và bỗng thiếu rượu, mẹ Chúa Giêsu nói với Người: “Họ hết rượu rồi”. Chúa Giêsu nói với mẹ: “Hỡi bà, Con với bà có can chi đâu, giờ Con chưa đến”. Mẹ Người nói với những người giúp việc: “Hễ Người bảo gì, thì phải làm theo”. Ở đó có sáu chum đá, dùng vào việc thanh tẩy của người Do-thái, mỗi chum đựng được hai hoặc ba thùng nước. Chúa Giêsu bảo họ: “Hãy đổ nước đầy các chum”. Họ đổ đầy tới miệng. Và Chúa Giêsu bảo họ: “Bây giờ hãy múc đem cho người quản tiệc!” Và họ đã đem đi. Khi người quản tiệc nếm thử nước đã hoá thành rượu, ông không biết tự đâu ra, nhưng những người giúp việc đã múc nước thì biết, ông mới gọi tân lang mà nói: “Ai cũng đem rượu ngon ra trước, khi khách ngà ngà thì mới đem rượu xoàng hơn. Còn ông, ông lại giữ rượu ngon tới giờ này”. Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa, và đã tỏ vinh quang Người và các môn đệ Người tin Người.\r{Sau đó Người xuống Capharnaum làm một với mẹ Người, anh em (Người) và môn đệ của Người, nhưng các Ngài chỉ lưu lại ở đó ít ngày thôi.}",
+      "end": "Ðó là lời Chúa"
+    }
+  },
+  "73005FR": {
+    "firstReading": {
+      "excerpt": "Hs 2, 14b. 15b. 19-20",
+      "info": "“Ta sẽ đính hôn với ngươi đến muôn đời”.",
+      "title": "Trích sách Tiên tri Hôsê.",
+      "content": "Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.",
+      "end": "Ðó là lời Chúa"
+    },
+    "psalms": {
+      "excerpt": "Tv 44, 10bc. 11. 12ab. 16",
+      "response": "Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng",
+      "verses": [
+        "Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.",
+        "Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.",
+        "Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.",
+        "Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."
+      ]
+    },
+    "alleluia": {
+      "verse": "1 Tx 2, 13",
+      "content": "alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."
+    },
+    "gospel": {
+      "excerpt": "Mt 25, 1-13",
+      "info": "“Kìa chàng rể đến, hãy ra đón người”.",
+      "title": "Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.",
+      "content": "Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.",
+      "end": "Ðó là lời Chúa"
+    }
+  },
+  "71407US": {
+    "firstReading": {
+      "excerpt": "Hs 2, 14b. 15b. 19-20",
+      "info": "“Ta sẽ đính hôn với ngươi đến muôn đời”.",
+      "title": "Trích sách Tiên tri Hôsê.",
+      "content": "Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.",
+      "end": "Ðó là lời Chúa"
+    },
+    "psalms": {
+      "excerpt": "Tv 44, 10bc. 11. 12ab. 16",
+      "response": "Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng",
+      "verses": [
+        "Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.",
+        "Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.",
+        "Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.",
+        "Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."
+      ]
+    },
+    "alleluia": {
+      "verse": "1 Tx 2, 13",
+      "content": "alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."
+    },
+    "gospel": {
+      "excerpt": "Mt 25, 1-13",
+      "info": "“Kìa chàng rể đến, hãy ra đón người”.",
+      "title": "Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.",
+      "content": "Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.",
+      "end": "Ðó là lời Chúa"
+    }
+  },
+  "70808AU": {
+    "firstReading": {
+      "excerpt": "Hs 2, 14b. 15b. 19-20",
+      "info": "“Ta sẽ đính hôn với ngươi đến muôn đời”.",
+      "title": "Trích sách Tiên tri Hôsê.",
+      "content": "Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.",
+      "end": "Ðó là lời Chúa"
+    },
+    "psalms": {
+      "excerpt": "Tv 44, 10bc. 11. 12ab. 16",
+      "response": "Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng",
+      "verses": [
+        "Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.",
+        "Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.",
+        "Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.",
+        "Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."
+      ]
+    },
+    "alleluia": {
+      "verse": "1 Tx 2, 13",
+      "content": "alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."
+    },
+    "gospel": {
+      "excerpt": "Mt 25, 1-13",
+      "info": "“Kìa chàng rể đến, hãy ra đón người”.",
+      "title": "Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.",
+      "content": "Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.",
+      "end": "Ðó là lời Chúa"
+    }
+  },
+  "71212US": {
+    "firstReading": {
+      "excerpt": "Kh 11, 19a; 12, 1-6a, 10ab",
+      "info": "“Một người nữ mặc áo mặt trời, chân đạp mặt trăng”.",
+      "title": "Trích sách Khải Huyền của Thánh Gioan.",
+      "content": "Ðền thờ Thiên Chúa trên trời đã mở ra. Và một điềm lạ vĩ đại xuất hiện trên trời: một người nữ mặc áo mặt trời, chân đạp mặt trăng, đầu đội triều thiên mười hai ngôi sao: Bà đang mang thai, kêu la chuyển bụng, và đau đớn sinh con.\rLại một điềm lạ khác xuất hiện trên trời: một con rồng đỏ khổng lồ, có bảy đầu, mười sừng, và trên bảy đầu, đội bảy triều thiên. Ðuôi nó kéo đi một phần ba tinh tú trên trời mà ném xuống đất. Con rồng đứng trước mặt người nữ sắp sinh con, để khi Bà sinh con ra, thì nuốt lấy đứa trẻ.\rBà sinh được một con trai, Ðấng sẽ dùng roi sắt mà cai trị muôn dân: Con Bà được mang về cùng Thiên Chúa, đến tận ngai của Người. Còn Bà thì trốn lên rừng vắng, ở đó Bà được Thiên Chúa dọn sẵn cho một nơi.\rVà tôi nghe có tiếng lớn trên trời phán rằng: “Nay sự cứu độ, quyền năng, vương quyền của Thiên Chúa chúng ta, và uy quyền của Ðức Kitô của Người đã được thực hiện”.",
+      "end": "Ðó là lời Chúa"
+    },
+    "psalms": {
+      "excerpt": "Tv 44, 10bc. 11. 12ab. 16",
+      "response": "Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng",
+      "verses": [
+        "Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.",
+        "Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.",
+        "Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.",
+        "Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."
+      ]
+    },
+    "alleluia": {
+      "verse": "Lc 1, 45",
+      "content": "alleluia! – Hỡi Trinh Nữ Ma-ri-a, phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện. – Alleluia."
+    },
+    "gospel": {
+      "excerpt": "Lc 1, 39-56",
+      "info": "“Ðấng toàn năng đã làm cho tôi những sự trọng đại: Người nâng cao những người phận nhỏ”.",
+      "title": "Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.",
+      "content": "Trong những ngày ấy, Maria chỗi dậy, vội vã ra đi lên miền núi, đến một thành xứ Giuđêa. Bà vào nhà ông Dacaria và chào bà Elisabeth, và khi bà Elisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Elisabeth được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng:\r“Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rVà Maria nói: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Chúa đã đoái nhìn đến phận hèn tớ nữ của Chúa. Này từ nay muôn thế hệ sẽ khen tôi có phước, vì Ðấng toàn năng đã làm cho tôi những sự trọng đại, và Danh Ngài là thánh. Lòng thương xót Chúa trải qua đời nọ đến đời kia dành cho những người kính sợ Chúa. Chúa đã vung cánh tay ra oai thần lực, dẹp tan những ai thần trí kiêu căng. Chúa lật đổ người quyền thế xuống khỏi ngai vàng và nâng cao những người phận nhỏ. Chúa đã cho người đói khát no đầy ơn phước, và để người giàu có trở về tay không. Chúa săn sóc Israel tôi tớ Chúa, bởi nhớ lại lòng thương xót của Ngài. Như Chúa đã phán cùng các tổ phụ chúng tôi, cho Abraham và dòng dõi người đến muôn đời”.\rMaria ở lại với bà Elisabeth độ ba tháng, đoạn Người trở về nhà mình.",
+      "end": "Ðó là lời Chúa"
     }
+  }
 };
@@ -0,0 +1,770 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+// Trích dẫn từng bộ bài đọc (excerpt, verse; text = có toàn văn) và phần (chunk) chứa toàn văn
+const LECTIONARY_CHUNK_INDEX = {
+    "chunks": {
+        "option-feasts": {"file":"option-feasts.js","source":"OPTION_SAINT","hash":"bc420877b5","bytes":21668},
+        "option-saints-01": {"file":"option-saints-01.js","source":"OPTION_SAINT","hash":"d4f0192d45","bytes":10455},
+        "option-saints-05": {"file":"option-saints-05.js","source":"OPTION_SAINT","hash":"1eeab502d9","bytes":5487},
+        "option-saints-06": {"file":"option-saints-06.js","source":"OPTION_SAINT","hash":"705e4f4f6f","bytes":15694},
+        "option-saints-07": {"file":"option-saints-07.js","source":"OPTION_SAINT","hash":"766fcc1aa1","bytes":7255},
+        "option-saints-08": {"file":"option-saints-08.js","source":"OPTION_SAINT","hash":"d97688de44","bytes":15757},
+        "option-saints-09": {"file":"option-saints-09.js","source":"OPTION_SAINT","hash":"e5b6470ea8","bytes":7333},
+        "option-saints-10": {"file":"option-saints-10.js","source":"OPTION_SAINT","hash":"b672ed8681","bytes":11453},
+        "option-saints-11": {"file":"option-saints-11.js","source":"OPTION_SAINT","hash":"5046d05aea","bytes":13328},
+        "option-saints-12": {"file":"option-saints-12.js","source":"OPTION_SAINT","hash":"b7c1429344","bytes":16082},
+        "seasonal-advent": {"file":"seasonal-advent.js","source":"SEASONAL","hash":"8caeefc2b7","bytes":63352},
+        "seasonal-christmas": {"file":"seasonal-christmas.js","source":"SEASONAL","hash":"0e5b1c8d9b","bytes":104308},
+        "seasonal-easter": {"file":"seasonal-easter.js","source":"SEASONAL","hash":"2806acb3ce","bytes":184507},
+        "seasonal-lent": {"file":"seasonal-lent.js","source":"SEASONAL","hash":"772d35fa9d","bytes":194547},
+        "special-christmas": {"file":"special-christmas.js","source":"SPECIAL","hash":"d82b553d73","bytes":24835},
+        "special-feasts": {"file":"special-feasts.js","source":"SPECIAL","hash":"bf60551ba6","bytes":21662},
+        "special-saints-01": {"file":"special-saints-01.js","source":"SPECIAL","hash":"74fba3990c","bytes":22999},
+        "special-saints-02": {"file":"special-saints-02.js","source":"SPECIAL","hash":"adda0532f0","bytes":14390},
+        "special-saints-03": {"file":"special-saints-03.js","source":"SPECIAL","hash":"5dff8555dc","bytes":16086},
+        "special-saints-04": {"file":"special-saints-04.js","source":"SPECIAL","hash":"6cfb7dce2f","bytes":8608},
+        "special-saints-05": {"file":"special-saints-05.js","source":"SPECIAL","hash":"8363cbb500","bytes":27172},
+        "special-saints-06": {"file":"special-saints-06.js","source":"SPECIAL","hash":"85f369b929","bytes":37692},
+        "special-saints-07": {"file":"special-saints-07.js","source":"SPECIAL","hash":"c7b0b03867","bytes":22570},
+        "special-saints-08": {"file":"special-saints-08.js","source":"SPECIAL","hash":"4b4126296c","bytes":34766},
+        "special-saints-09": {"file":"special-saints-09.js","source":"SPECIAL","hash":"91d4d22d56","bytes":32627},
+        "special-saints-10": {"file":"special-saints-10.js","source":"SPECIAL","hash":"a123c01a75","bytes":20915},
+        "special-saints-11": {"file":"special-saints-11.js","source":"SPECIAL","hash":"05d05bf752","bytes":38854},
+        "special-saints-12": {"file":"special-saints-12.js","source":"SPECIAL","hash":"a9b85bcc43","bytes":33584},
+        "sunday-advent": {"file":"sunday-advent.js","source":"SUNDAY","hash":"b5117b1fdb","bytes":59523},
+        "sunday-christmas": {"file":"sunday-christmas.js","source":"SUNDAY","hash":"0d36600467","bytes":40175},
+        "sunday-easter": {"file":"sunday-easter.js","source":"SUNDAY","hash":"b9bdefe0dd","bytes":134120},
+        "sunday-feasts": {"file":"sunday-feasts.js","source":"SUNDAY","hash":"22e5fbd05c","bytes":73132},
+        "sunday-lent": {"file":"sunday-lent.js","source":"SUNDAY","hash":"5a6f2452a4","bytes":106357},
+        "sunday-ordinary-1": {"file":"sunday-ordinary-1.js","source":"SUNDAY","hash":"280aa87d7c","bytes":91562},
+        "sunday-ordinary-2": {"file":"sunday-ordinary-2.js","source":"SUNDAY","hash":"1cfe724632","bytes":86386},
+        "sunday-ordinary-3": {"file":"sunday-ordinary-3.js","source":"SUNDAY","hash":"615b4e228f","bytes":96795},
+        "sunday-ordinary-4": {"file":"sunday-ordinary-4.js","source":"SUNDAY","hash":"0e5d89d6af","bytes":94646},
+        "sunday-ordinary-5": {"file":"sunday-ordinary-5.js","source":"SUNDAY","hash":"1a88e2bebf","bytes":91879},
+        "sunday-ordinary-6": {"file":"sunday-ordinary-6.js","source":"SUNDAY","hash":"32736f78a9","bytes":63120},
+        "year1-feasts": {"file":"year1-feasts.js","source":"ORDINARY_Y1","hash":"051ffa3ab2","bytes":3659},
+        "year1-ordinary-1": {"file":"year1-ordinary-1.js","source":"ORDINARY_Y1","hash":"e5260e35c4","bytes":152258},
+        "year1-ordinary-2": {"file":"year1-ordinary-2.js","source":"ORDINARY_Y1","hash":"a5d1814816","bytes":162678},
+        "year1-ordinary-3": {"file":"year1-ordinary-3.js","source":"ORDINARY_Y1","hash":"45d345cfb4","bytes":170663},
+        "year1-ordinary-4": {"file":"year1-ordinary-4.js","source":"ORDINARY_Y1","hash":"5f2261df60","bytes":161041},
+        "year1-ordinary-5": {"file":"year1-ordinary-5.js","source":"ORDINARY_Y1","hash":"02e04caa90","bytes":146064},
+        "year1-ordinary-6": {"file":"year1-ordinary-6.js","source":"ORDINARY_Y1","hash":"482d3e7673","bytes":111912},
+        "year2-feasts": {"file":"year2-feasts.js","source":"ORDINARY_Y2","hash":"fbd6dec26d","bytes":3659},
+        "year2-ordinary-1": {"file":"year2-ordinary-1.js","source":"ORDINARY_Y2","hash":"0d5aba7fe6","bytes":164650},
+        "year2-ordinary-2": {"file":"year2-ordinary-2.js","source":"ORDINARY_Y2","hash":"3ea9178b5a","bytes":160300},
+        "year2-ordinary-3": {"file":"year2-ordinary-3.js","source":"ORDINARY_Y2","hash":"3109bd19df","bytes":148049},
+        "year2-ordinary-4": {"file":"year2-ordinary-4.js","source":"ORDINARY_Y2","hash":"f34cbd9c56","bytes":165493},
+        "year2-ordinary-5": {"file":"year2-ordinary-5.js","source":"ORDINARY_Y2","hash":"b5e407f888","bytes":143261},
+        "year2-ordinary-6": {"file":"year2-ordinary-6.js","source":"ORDINARY_Y2","hash":"0f38fc73f5","bytes":100329}
+    },
+    "sources": {
+        "SUNDAY": {
+            "1010": {"A":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 2, 1-5","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Rm 13, 11-14","text":true},"alleluia":{"verse":"Tv 84, 8","text":true},"gospel":{"excerpt":"Mt 24, 37-44","text":true}},"B":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 63, 16b-17; 64, 1. 3b-8","text":true},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16. 18-19","text":true},"secondReading":{"excerpt":"1 Cr 1, 3-9","text":true},"alleluia":{"verse":"Tv 84, 8","text":true},"gospel":{"excerpt":"Mc 13, 33-37","text":true}},"C":{"chunk":"sunday-advent","firstReading":{"excerpt":"Gr 33, 14-16","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 8-9. 10 và 14","text":true},"secondReading":{"excerpt":"1 Tx 3, 12 – 4, 2","text":true},"alleluia":{"verse":"Tv 84, 8","text":true},"gospel":{"excerpt":"Lc 21, 25-28, 34-36","text":true}}},
+            "1020": {"A":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 11, 1-10","text":true},"psalms":{"excerpt":"Tv 71, 2. 7-8. 12-13. 17","text":true},"secondReading":{"excerpt":"Rm 15, 4-9","text":true},"alleluia":{"verse":"Lc 3, 4. 6","text":true},"gospel":{"excerpt":"Mt 3, 1-12","text":true}},"B":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 40, 1-5. 9-11","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"secondReading":{"excerpt":"2 Pr 3, 8-14","text":true},"alleluia":{"verse":"Lc 3, 4. 6","text":true},"gospel":{"excerpt":"Mc 1, 1-8","text":true}},"C":{"chunk":"sunday-advent","firstReading":{"excerpt":"Br 5, 1-9","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"secondReading":{"excerpt":"Pl 1, 4-6. 8-11","text":true},"alleluia":{"verse":"Lc 3, 4. 6","text":true},"gospel":{"excerpt":"Lc 3, 1-6","text":true}}},
+            "1030": {"A":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 35, 1-6a. 10","text":true},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","text":true},"secondReading":{"excerpt":"Gc 5, 7-10","text":true},"alleluia":{"verse":"Is 61, 1 (x. Lc 4, 12)","text":true},"gospel":{"excerpt":"Mt 11, 2-11","text":true}},"B":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 61, 1-2a. 10-11","text":true},"psalms":{"excerpt":"Lc 1, 46-48. 49-50. 53-54","text":true},"secondReading":{"excerpt":"1 Tx 5, 16-24","text":true},"alleluia":{"verse":"Is 61, 1 (x. Lc 4, 18)","text":true},"gospel":{"excerpt":"Ga 1, 6-8. 19-28","text":true}},"C":{"chunk":"sunday-advent","firstReading":{"excerpt":"Xp 3, 14-18a","text":true},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","text":true},"secondReading":{"excerpt":"Pl 4, 4-7","text":true},"alleluia":{"verse":"Is 61, 1 (x. Lc 1, 18)","text":true},"gospel":{"excerpt":"Lc 3, 10-18","text":true}}},
+            "1040": {"A":{"chunk":"sunday-advent","firstReading":{"excerpt":"Is 7, 10-14","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"secondReading":{"excerpt":"Rm 1, 1-7","text":true},"alleluia":{"verse":"Mt 1, 21","text":true},"gospel":{"excerpt":"Mt 1, 18-24","text":true}},"B":{"chunk":"sunday-advent","firstReading":{"excerpt":"2 Sm 7, 1-5. 8b-12. 14a. 16","text":true},"psalms":{"excerpt":"Tv 88, 2-3. 4-5. 27 và 29","text":true},"secondReading":{"excerpt":"Rm 16, 25-27","text":true},"alleluia":{"verse":"Lc 1, 38","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},"C":{"chunk":"sunday-advent","firstReading":{"excerpt":"Mk 5, 2-5a","text":true},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16. 18-19","text":true},"secondReading":{"excerpt":"Dt 10, 5-10","text":true},"alleluia":{"verse":"Lc 1, 38","text":true},"gospel":{"excerpt":"Lc 1, 39-45","text":true}}},
+            "2010": {"A":{"chunk":"sunday-christmas","firstReading":{"excerpt":"Hc 3, 3-7. 14-17a","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"secondReading":{"excerpt":"Cl 3, 12 - 21","text":true},"alleluia":{"verse":"Cl 3, 15a. 16a","text":true},"gospel":{"excerpt":"Mt 2, 13-15. 19-23","text":true}},"B":{"chunk":"sunday-christmas","firstReading":{"excerpt":"St 15,1-6 ; 21,1-3","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"secondReading":{"excerpt":"Hr 11, 8.11-12.17-19","text":true},"alleluia":{"verse":"Cl 3, 15a. 16a","text":true},"gospel":{"excerpt":"Lc 2, 22-40 (bài dài)","text":true}},"C":{"chunk":"sunday-christmas","firstReading":{"excerpt":"Hc 3, 3-7. 14-17a","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"secondReading":{"excerpt":"Cl 3, 12-21","text":true},"alleluia":{"verse":"Cl 3, 15a. 16a","text":true},"gospel":{"excerpt":"Lc 2, 41-52","text":true}}},
+            "3010": {"A":{"chunk":"sunday-lent","firstReading":{"excerpt":"St 2, 7-9; 3, 1-7","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 12-13. 14 và 17","text":true},"secondReading":{"excerpt":"Rm 5, 12-19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 4, 1-11","text":true}},"B":{"chunk":"sunday-lent","firstReading":{"excerpt":"St 9, 8-15","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9","text":true},"secondReading":{"excerpt":"1 Pr 3, 18-22","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 1, 12-15","text":true}},"C":{"chunk":"sunday-lent","firstReading":{"excerpt":"Ðnl 26, 4-10","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 10-11. 12-13. 14-15","text":true},"secondReading":{"excerpt":"Rm 10, 8-13","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 4, 1-13","text":true}}},
+            "3020": {"A":{"chunk":"sunday-lent","firstReading":{"excerpt":"St 12, 1-4a","text":true},"psalms":{"excerpt":"Tv 32, 4-5. 18-19. 20 và 22","text":true},"secondReading":{"excerpt":"2 Tm 1, 8b-10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 17, 1-9","text":true}},"B":{"chunk":"sunday-lent","firstReading":{"excerpt":"St 22, 1-2. 9a. 10-13. 15-18","text":true},"psalms":{"excerpt":"Tv 115, 10 và 15. 16-17. 18-19","text":true},"secondReading":{"excerpt":"Rm 8, 31b-34","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 1-9","text":true}},"C":{"chunk":"sunday-lent","firstReading":{"excerpt":"St 15, 5-12. 17-18","text":true},"psalms":{"excerpt":"Tv 26, 1. 7-8a. 8b-9abc. 13-14","text":true},"secondReading":{"excerpt":"Pl 3, 17 – 4, 1","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 9, 28b-36","text":true}}},
+            "3030": {"A":{"chunk":"sunday-lent","firstReading":{"excerpt":"Xh 17, 3-7","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Rm 5, 1-2. 5-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 4,5-42 (Bài dài)","text":true}},"B":{"chunk":"sunday-lent","firstReading":{"excerpt":"Xh 20, 1-17","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","text":true},"secondReading":{"excerpt":"1 Cr 1, 22-25","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 2, 13-25","text":true}},"C":{"chunk":"sunday-lent","firstReading":{"excerpt":"Xh 3, 1-8a. 13-15","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 6-7. 8 và 11","text":true},"secondReading":{"excerpt":"1 Cr 10, 1-6. 10-12","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 13, 1-9","text":true}}},
+            "3040": {"A":{"chunk":"sunday-lent","firstReading":{"excerpt":"Sm 16, 1b. 6-7. 10-13a","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"secondReading":{"excerpt":"Ep 5, 8-14","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 9, 1-41 (bài dài)","text":true}},"B":{"chunk":"sunday-lent","firstReading":{"excerpt":"2 Sb 36, 14-16. 19-23","text":true},"psalms":{"excerpt":"Tv 136, 1-2. 3. 4-5. 6","text":true},"secondReading":{"excerpt":"Ep 2, 4-10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 3, 14-21","text":true}},"C":{"chunk":"sunday-lent","firstReading":{"excerpt":"Gs 5, 9a. 10-12","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7","text":true},"secondReading":{"excerpt":"2 Cr 5, 17-21","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 15, 1-3. 11-32","text":true}}},
+            "3050": {"A":{"chunk":"sunday-lent","firstReading":{"excerpt":"Ed 37, 12-14","text":true},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 4c-6. 7-8","text":true},"secondReading":{"excerpt":"Rm 8, 8-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 11, 1-45","text":true}},"B":{"chunk":"sunday-lent","firstReading":{"excerpt":"Gr 31, 31-34","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 12-13. 14-15","text":true},"secondReading":{"excerpt":"Dt 5, 7-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 12, 20-33","text":true}},"C":{"chunk":"sunday-lent","firstReading":{"excerpt":"Is 43, 16-21","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"secondReading":{"excerpt":"Pl 3, 8-14","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 8, 1-11","text":true}}},
+            "3060": {"A":{"chunk":"sunday-lent","firstReading":{"excerpt":"Is 50, 4-7","text":true},"psalms":{"excerpt":"Tv 21, 8-9. 17-18a. 19-20. 23-24","text":true},"secondReading":{"excerpt":"Pl 2, 6-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 26, 14 – 27, 66","text":true}},"B":{"chunk":"sunday-lent","firstReading":{"excerpt":"Is 50, 4-7","text":true},"psalms":{"excerpt":"Tv 21, 8-9. 17-18a. 19-20. 23-24","text":true},"secondReading":{"excerpt":"Pl 2, 6-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 14, 1 – 15. 47","text":true}},"C":{"chunk":"sunday-lent","firstReading":{"excerpt":"Is 50, 4-7","text":true},"psalms":{"excerpt":"Tv 21, 8-9. 17-18a. 19-20. 23-24","text":true},"secondReading":{"excerpt":"Pl 2, 6-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 22, 14 – 23. 56","text":true}}},
+            "4010": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 10, 34a. 37-43","text":true},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 22-23","text":true},"secondReading":{"excerpt":"Cl 3, 1-4","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 1-9","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 10, 34a. 37-43","text":true},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 22-23","text":true},"secondReading":{"excerpt":"Cl 3, 1-4","text":true},"alleluia":{"verse":"1 Cr 5, 7b-8a","text":true},"gospel":{"excerpt":"Ga 20, 1-9","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 10, 34a. 37-43","text":true},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 22-23","text":true},"secondReading":{"excerpt":"Cl 3, 1-4","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 1-9","text":true}}},
+            "4020": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 2, 42-47","text":true},"psalms":{"excerpt":"Tv 117, 2-4. 13-15. 22-24","text":true},"secondReading":{"excerpt":"1 Pr 1, 3-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 19-31","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 4, 32-35","text":true},"psalms":{"excerpt":"Tv 117, 2-4. 16ab -18. 22-24","text":true},"secondReading":{"excerpt":"1 Ga 5, 1-6","text":true},"alleluia":{"verse":"Ga 20, 29","text":true},"gospel":{"excerpt":"Ga 20, 19-31","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 5, 12-16","text":true},"psalms":{"excerpt":"Tv 117, 2-4. 22-24. 25-27a","text":true},"secondReading":{"excerpt":"Kh 1, 9-11a, 12-13. 17-19","text":true},"alleluia":{"verse":"Ga 20, 29","text":true},"gospel":{"excerpt":"Ga 20, 19-31","text":true}}},
+            "4030": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 2, 14. 22-28","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","text":true},"secondReading":{"excerpt":"1 Pr 1, 17-21","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 24, 13-35","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 3, 13-15. 17-19","text":true},"psalms":{"excerpt":"Tv 4, 2. 7. 9","text":true},"secondReading":{"excerpt":"1 Ga 2, 1-5a","text":true},"alleluia":{"verse":"x. Lc 24, 32","text":true},"gospel":{"excerpt":"Lc 24, 35-48","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 5, 27b-32. 40b-41","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5 và 6. 11 và 12a và 13b","text":true},"secondReading":{"excerpt":"Kh 5, 11-14","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Ga 21, 1-14 {hoặc 1-19}","text":true}}},
+            "4040": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 2, 14a. 36-41","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"secondReading":{"excerpt":"1 Pr 2, 20b-25","text":true},"alleluia":{"verse":"Ga 10, 14","text":true},"gospel":{"excerpt":"Ga 10, 1-10","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 4, 8-12","text":true},"psalms":{"excerpt":"Tv 117, 1 và 8-9. 21-23. 26 và 28cd và 29","text":true},"secondReading":{"excerpt":"1 Ga 3, 1-2","text":true},"alleluia":{"verse":"Ga 10, 14","text":true},"gospel":{"excerpt":"Ga 10, 11-18","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 13, 14. 43-52","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 5","text":true},"secondReading":{"excerpt":"Kh 7, 9. 14b-17","text":true},"alleluia":{"verse":"Ga 10, 14","text":true},"gospel":{"excerpt":"Ga 10, 27-30","text":true}}},
+            "4050": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 6, 1-7","text":true},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 18-19","text":true},"secondReading":{"excerpt":"1 Pr 2, 4-9","text":true},"alleluia":{"verse":"Ga 14, 6","text":true},"gospel":{"excerpt":"Ga 14, 1-12","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 9, 26-31","text":true},"psalms":{"excerpt":"Tv 21, 26b-27. 28 và 30. 31-32","text":true},"secondReading":{"excerpt":"1 Ga 3, 18-24","text":true},"alleluia":{"verse":"Ga 15, 4 và 5b","text":true},"gospel":{"excerpt":"Ga 15, 1-8","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 14, 20b-26","text":true},"psalms":{"excerpt":"Tv 144, 8-9. 10-11. 12-13ab","text":true},"secondReading":{"excerpt":"Kh 21, 1-5a","text":true},"alleluia":{"verse":"Ga 13, 34","text":true},"gospel":{"excerpt":"Ga 13, 31-33a. 34-35","text":true}}},
+            "4060": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 8, 5-8. 14-17","text":true},"psalms":{"excerpt":"Tv 65, 1-3a. 4-5. 6-7a. 16 và 20","text":true},"secondReading":{"excerpt":"1 Pr 3, 15-18","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Ga 14, 15-21","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 10, 25-26. 34-35. 44-48","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"secondReading":{"excerpt":"1Ga 4, 7-10","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Ga 15, 9-17","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 15, 1-2. 22-29","text":true},"psalms":{"excerpt":"Tv 66, 2-3. 5-6 và 8","text":true},"secondReading":{"excerpt":"Kh 21, 10-14. 22-23","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Ga 14, 23-29","text":true}}},
+            "4070": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 1, 1-11","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 1, 17-23","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Mt 28, 16-20","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 1, 1-11","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 1, 17-23","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Mc 16, 15-20","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 1, 1-11","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 1, 17-23","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Lc 24, 46-53","text":true}}},
+            "4080": {"A":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 1, 1-11","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 1, 17-23","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Mt 28, 16-20","text":true}},"B":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 1, 1-11","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 1, 17-23","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Mc 16, 15-20","text":true}},"C":{"chunk":"sunday-easter","firstReading":{"excerpt":"Cv 1, 1-11","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 1, 17-23","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Lc 24, 46-53","text":true}}},
+            "5010": {"A":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 42, 1-4. 6-7","text":true},"psalms":{"excerpt":"Tv 28, 1a và 2. 3ac-4. 3b và 9b-10","text":true},"secondReading":{"excerpt":"Cv 10, 34-38","text":true},"alleluia":{"verse":"x. Mc 9, 7","text":true},"gospel":{"excerpt":"Mt 3, 13-17","text":true}},"B":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 42, 1-4. 6-7","text":true},"psalms":{"excerpt":"Tv 28, 1a và 2. 3ac-4. 3b và 9b-10","text":true},"secondReading":{"excerpt":"Cv 10, 34-38","text":true},"alleluia":{"verse":"x. Mc 9, 7","text":true},"gospel":{"excerpt":"Mc 1, 6b-11","text":true}},"C":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 42, 1-4. 6-7","text":true},"psalms":{"excerpt":"Tv 28, 1a và 2. 3ac-4. 3b và 9b-10","text":true},"secondReading":{"excerpt":"Cv 10, 34-38","text":true},"alleluia":{"verse":"x. Mc 9, 7","text":true},"gospel":{"excerpt":"Lc 3, 15-16. 21-22","text":true}}},
+            "5020": {"A":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 49, 3. 5-6","text":true},"psalms":{"excerpt":"Tv 39, 2 và 4ab. 7-8a. 8b-9. 10","text":true},"secondReading":{"excerpt":"1 Cr 1, 1-3","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Ga 1, 29-34","text":true}},"B":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"1 Sm 3, 3b-10. 19","text":true},"psalms":{"excerpt":"Tv 39, 2 và 4ab. 7-8a. 8b-9. 10","text":true},"secondReading":{"excerpt":"1 Cr 6, 13c-15a, 17-20","text":true},"alleluia":{"verse":"Mt 11,23","text":true},"gospel":{"excerpt":"Ga 1, 35-42","text":true}},"C":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 62, 1-5","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 7-8a. 9-10ac","text":true},"secondReading":{"excerpt":"1 Cr 12, 4-11","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Ga 2, 1-12","text":true}}},
+            "5030": {"A":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 9, 1- 4 (Hr 8, 23b – 9, 3)","text":true},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","text":true},"secondReading":{"excerpt":"1 Cr 1, 10-13. 17","text":true},"alleluia":{"verse":"Mt 4, 23","text":true},"gospel":{"excerpt":"Mt 4, 12-23 (bài dài)","text":true}},"B":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Gn 3, 1-5. 10","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9.","text":true},"secondReading":{"excerpt":"1 Cr 7, 29-31","text":true},"alleluia":{"verse":"Mc 1, 15","text":true},"gospel":{"excerpt":"Mc 1, 14-20","text":true}},"C":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Nkm 8, 2-4a. 5-6. 8-10","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 15","text":true},"secondReading":{"excerpt":"1 Cr 12, 12-30 (bài dài)","text":true},"alleluia":{"verse":"Lc 4, 18-19","text":true},"gospel":{"excerpt":"Lc 1, 1-4; 4, 14-21","text":true}}},
+            "5040": {"A":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Xp 2, 3; 3, 12-13","text":true},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10.","text":true},"secondReading":{"excerpt":"1 Cr 1, 26-31","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mt 5, 1-12a","text":true}},"B":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Ðnl 18, 15-20","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9.","text":true},"secondReading":{"excerpt":"1 Cr 7, 32-35","text":true},"alleluia":{"verse":"Ga 1, 14 và 12","text":true},"gospel":{"excerpt":"Mc 1, 21-28","text":true}},"C":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Gr 1, 4-5, 17-19","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","text":true},"secondReading":{"excerpt":"1 Cr 12, 31 – 13, 13 (bài dài)","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Lc 4, 21-30","text":true}}},
+            "5050": {"A":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 58, 7-10","text":true},"psalms":{"excerpt":"Tv 111, 4-5. 6-7. 8a và 9","text":true},"secondReading":{"excerpt":"1 Cr 2, 1-5","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 5, 13-16","text":true}},"B":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"G 7, 1-4. 6-7","text":true},"psalms":{"excerpt":"Tv 146, 1-2. 3-4. 5-6","text":true},"secondReading":{"excerpt":"1 Cr 9, 16-19. 22-23","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 1, 29-39","text":true}},"C":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Is 6, 1-2a, 3-8","text":true},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3.4-5. 7c-8","text":true},"secondReading":{"excerpt":"1 Cr 15, 1-11 (bài dài)","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 5, 1-11","text":true}}},
+            "5060": {"A":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Hc 15,16-21","text":true},"psalms":{"excerpt":"Tv 118,1-2.4-5.17-18.33-34","text":true},"secondReading":{"excerpt":"1Cor 2,6-10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 5, 17-37","text":true}},"B":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Lv 13, 1-2. 44-46","text":true},"psalms":{"excerpt":"Tv 31, 1-2. 5. 11","text":true},"secondReading":{"excerpt":"1 Cr 10, 31 – 11, 1","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 1, 40-45","text":true}},"C":{"chunk":"sunday-ordinary-1","firstReading":{"excerpt":"Gr 17, 5-8","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"secondReading":{"excerpt":"1 Cr 15, 12. 16-20","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 6, 17. 20-26","text":true}}},
+            "5070": {"A":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Lv 19,1-2. 17-18","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8 và 10. 12-13.","text":true},"secondReading":{"excerpt":"1 Cr 3, 16-23","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 5, 38-48","text":true}},"B":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Is 43, 18-19. 21-22. 24b-25","text":true},"psalms":{"excerpt":"Tv 40, 2-3. 4-5. 13-14.","text":true},"secondReading":{"excerpt":"2 Cr 1, 18-22","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mc 2, 1-12","text":true}},"C":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"1 Sm 26, 2. 7-9. 12-13. 22-23","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8 và 10. 12-13.","text":true},"secondReading":{"excerpt":"1 Cr 15, 45-49","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Lc 6, 27-38","text":true}}},
+            "5080": {"A":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Is 49, 14-15","text":true},"psalms":{"excerpt":"Tv 61, 2-3. 6-7. 8-9ab.","text":true},"secondReading":{"excerpt":"1 Cr 4, 1-5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 6, 24-34","text":true}},"B":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8 và 10. 12-13","text":true},"secondReading":{"excerpt":"2 Cr 3, 1-6a","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Mc 2, 18-22","text":true}},"C":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Hc 27, 5-8","text":true},"psalms":{"excerpt":"Tv 91, 2-3. 13-14. 15-16","text":true},"secondReading":{"excerpt":"1 Cr 15, 54-58","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 6, 39-45","text":true}}},
+            "5090": {"A":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Ðnl 11, 18. 26-28","text":true},"psalms":{"excerpt":"Tv 30, 2-3a. 3bc-4. 17 và 25","text":true},"secondReading":{"excerpt":"Rm 3, 21-25a. 28","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mt 7, 21-27","text":true}},"C":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"1V 8, 41-43","text":true},"psalms":{"excerpt":"Tv 116, 1. 2","text":true},"secondReading":{"excerpt":"Gl 1, 1-2. 6-10","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 7, 1-10","text":true}}},
+            "5100": {"A":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Hs 6, 3b-6","text":true},"psalms":{"excerpt":"Tv 49, 1 và 8. 12-13. 14-15","text":true},"secondReading":{"excerpt":"Rm 4, 18-25","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 9, 9-13","text":true}},"B":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"St 3,9-15","text":true},"psalms":{"excerpt":"Tv 129, 1-2.3-4.5-6a.6b-8","text":true},"secondReading":{"excerpt":"2Cr 4,13 – 5,1","text":true},"alleluia":{"verse":"Ga 12,31b-32","text":true},"gospel":{"excerpt":"Mc 3,20-35","text":true}},"C":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"1 V 17, 17-24","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b.","text":true},"secondReading":{"excerpt":"Gl 1, 11-19","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 7, 11-17","text":true}}},
+            "5110": {"A":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Xh 19, 2-6a","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 5","text":true},"secondReading":{"excerpt":"Rm 5, 6-11","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mt 9, 36 – 10, 8","text":true}},"B":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Ed 17, 22-24","text":true},"psalms":{"excerpt":"Tv 91, 2-3.13-14.15-16","text":true},"secondReading":{"excerpt":"2Cr 5,6-10","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mc 4, 26-34","text":true}},"C":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"2 Sm 12, 7-10. 13","text":true},"psalms":{"excerpt":"Tv 31, 1-2. 5. 7. 11","text":true},"secondReading":{"excerpt":"Gl 2, 16. 19-21","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 7, 36-50 {hoặc Lc 7, 36 – 8, 3}","text":true}}},
+            "5120": {"A":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Gr 20, 10-13","text":true},"psalms":{"excerpt":"Tv 68, 8-10. 14 và 17. 33-35","text":true},"secondReading":{"excerpt":"Rm 5, 12-15","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Mt 10, 26-33","text":true}},"B":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"G 38, 1. 8-11","text":true},"psalms":{"excerpt":"Tv 106, 23-24. 25-26. 28-29. 30-31","text":true},"secondReading":{"excerpt":"2 Cr 5, 14-17","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mc 4, 35-40","text":true}},"C":{"chunk":"sunday-ordinary-2","firstReading":{"excerpt":"Dcr 12, 10-11","text":true},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 8-9","text":true},"secondReading":{"excerpt":"Gl 3, 26-29","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 9, 18-24","text":true}}},
+            "5130": {"A":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"2 V 4, 8-11. 14-16a","text":true},"psalms":{"excerpt":"Tv 88, 2-3. 16-17. 18-19","text":true},"secondReading":{"excerpt":"Rm 6, 3-4. 8-11","text":true},"alleluia":{"verse":"1 Pr 2,9","text":true},"gospel":{"excerpt":"Mt 10, 37-42","text":true}},"B":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"G Kn 1, 13-15; 2, 23-25","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b","text":true},"secondReading":{"excerpt":"2 Cr 8, 7. 9. 13-15","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mc 5, 21-43","text":true}},"C":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"1 V 19, 16b. 19-21","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","text":true},"secondReading":{"excerpt":"Gl 4, 31b – 5, 1. 13-18","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Lc 9, 51-62","text":true}}},
+            "5140": {"A":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Dcr 9, 9-10","text":true},"psalms":{"excerpt":"Tv 144, 1-2. 8-9. 10-11. 13cd-14","text":true},"secondReading":{"excerpt":"Rm 8, 9. 11-13","text":true},"alleluia":{"verse":"Ga 10, 17","text":true},"gospel":{"excerpt":"Mt 11, 25-30","text":true}},"B":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Ed 2, 2-5","text":true},"psalms":{"excerpt":"Tv 122, 1-2a. 2bcd. 3-4","text":true},"secondReading":{"excerpt":"2 Cr 12, 7-10","text":true},"alleluia":{"verse":"1 Pr 1, 25","text":true},"gospel":{"excerpt":"Mc 6, 1-6","text":true}},"C":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Is 66, 10-14c","text":true},"psalms":{"excerpt":"Tv 65, 1-3a. 4-5. 6-7a. 16 và 20","text":true},"secondReading":{"excerpt":"Gl 6, 14-18","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 10, 1-9 {hoặc Lc 1-12. 17-20}","text":true}}},
+            "5150": {"A":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Is 55, 10-11","text":true},"psalms":{"excerpt":"Tv 64, 10abcd. 10e-11. 12-13. 14","text":true},"secondReading":{"excerpt":"Rm 8, 18-23","text":true},"alleluia":{"verse":"Ga 17,17","text":true},"gospel":{"excerpt":"Mt 13, 1-9 {hoặc 1-23}","text":true}},"B":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Am 7, 12-15","text":true},"psalms":{"excerpt":"Tv 84, 9ab -10. 11-12. 13-14","text":true},"secondReading":{"excerpt":"Ep 1, 3-10 {hoặc 3-14}","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mc 6, 7-13","text":true}},"C":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Ðnl 30, 10-14","text":true},"psalms":{"excerpt":"Tv 68, 14 và 17. 30-31. 33-34. 36ab và 37","text":true},"secondReading":{"excerpt":"Cl 1, 15-20","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 10, 25-37","text":true}}},
+            "5160": {"A":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Kn 12, 13. 16-19","text":true},"psalms":{"excerpt":"Tv 85, 5-6. 9-10. 15-16a","text":true},"secondReading":{"excerpt":"Rm 8, 26-27","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mt 13, 24-30 {hoặc 24-43}","text":true}},"B":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Gr 23, 1-6","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"secondReading":{"excerpt":"Ep 2, 13-18","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mc 6, 30-34","text":true}},"C":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"St 18, 1-10a","text":true},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","text":true},"secondReading":{"excerpt":"Cl 1, 24-28","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 10, 38-42","text":true}}},
+            "5170": {"A":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"1 V 3, 5. 7-12","text":true},"psalms":{"excerpt":"Tv 118, 57 và 72. 76-77. 127-128. 129-130","text":true},"secondReading":{"excerpt":"Rm 8, 28-30","text":true},"alleluia":{"verse":"1 Pr 1, 25","text":true},"gospel":{"excerpt":"Mt 13, 44-46 {hoặc 44-52}","text":true}},"B":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"2 V 4, 42-44","text":true},"psalms":{"excerpt":"Tv 144, 10-11. 15-16. 17-18","text":true},"secondReading":{"excerpt":"Ep 4, 1-6","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Ga 6, 1-15","text":true}},"C":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"St 18, 20-32","text":true},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 6-7ab. 7c-8","text":true},"secondReading":{"excerpt":"Cl 2, 12-14","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 11, 1-13","text":true}}},
+            "5180": {"A":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Is 55, 1-3","text":true},"psalms":{"excerpt":"Tv 144, 8-9. 15-16. 17-18","text":true},"secondReading":{"excerpt":"Rm 8, 35. 37-39","text":true},"alleluia":{"verse":"x. Ep 1, 17-18","text":true},"gospel":{"excerpt":"Mt 14, 13-21","text":true}},"B":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Xh 16, 2-4. 12-15","text":true},"psalms":{"excerpt":"Tv 77, 3 và 4bc. 23-24. 25 và 54","text":true},"secondReading":{"excerpt":"Ep 4, 17. 20-24","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 6, 24-35","text":true}},"C":{"chunk":"sunday-ordinary-3","firstReading":{"excerpt":"Gv 1, 2; 2, 21-23","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Cl 3, 1-5, 9-11","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 12, 13-21","text":true}}},
+            "5190": {"A":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"1 V 19, 9a. 11-13a","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"secondReading":{"excerpt":"Rm 9, 1-5","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mt 14, 22-33","text":true}},"B":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"1 V 19, 4-8","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Ep 4, 30 – 5, 2","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Ga 6, 41-52","text":true}},"C":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Kn 18, 6-9","text":true},"psalms":{"excerpt":"Tv 32, 1 và 12. 18-19. 20 và 22","text":true},"secondReading":{"excerpt":"Dt 11, 1-2, 8-19","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Lc 12, 32-48","text":true}}},
+            "5200": {"A":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Is 56, 1. 6-7","text":true},"psalms":{"excerpt":"Tv 66, 2-3. 5. 6 và 8","text":true},"secondReading":{"excerpt":"Rm 11, 13-15. 29-32","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 15, 21-28","text":true}},"B":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Cn 9, 1-6","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 10-11. 12-13. 14-15","text":true},"secondReading":{"excerpt":"Ep 5, 15-20","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Ga 6, 51-59","text":true}},"C":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Gr 38, 4-6. 8-10","text":true},"psalms":{"excerpt":"Tv 39, 2. 3. 4. 18","text":true},"secondReading":{"excerpt":"Dt 12, 1-4","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Lc 12, 49-53","text":true}}},
+            "5210": {"A":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Is 22, 19-23","text":true},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 6 và 8bc","text":true},"secondReading":{"excerpt":"Rm 11, 33-36","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 16, 13-20","text":true}},"B":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Gs 24, 1-2a. 15-17. 18b","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 16-17. 18-19. 20-21. 22-23","text":true},"secondReading":{"excerpt":"Ep 5, 21-32","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Ga 6, 61-70","text":true}},"C":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Is 66, 18-21","text":true},"psalms":{"excerpt":"Tv 116, 1. 2","text":true},"secondReading":{"excerpt":"Dt 12, 5-7, 11-13","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 13, 22-30","text":true}}},
+            "5220": {"A":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Gr 20, 7-9","text":true},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 8-9","text":true},"secondReading":{"excerpt":"Rm 12, 1-2","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mt 16, 21-27","text":true}},"B":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Ðnl 4, 1-2. 6-8","text":true},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 4c-5","text":true},"secondReading":{"excerpt":"Gc 1, 17-18. 21b-22. 27","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 7, 1-8a. 14-15. 21-23","text":true}},"C":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Hc 3, 19-21. 30-31","text":true},"psalms":{"excerpt":"Tv 67, 4-5ac. 6-7ab. 10-11","text":true},"secondReading":{"excerpt":"Dt 12, 18-19. 22-24a","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Lc 14, 1. 7-14","text":true}}},
+            "5230": {"A":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Ed 33, 7-9","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Rm 13, 8-10","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Mt 18, 15-20","text":true}},"B":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Is 35, 4-7a","text":true},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","text":true},"secondReading":{"excerpt":"Gc 2, 1-5","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mc 7, 31-37","text":true}},"C":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Kn 9, 13-18","text":true},"psalms":{"excerpt":"Tv 89, 3-4. 5-6. 12-13. 14 và 17","text":true},"secondReading":{"excerpt":"Plm 9b-10. 12-17","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Lc 14, 25-33","text":true}}},
+            "5240": {"A":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Hc 27, 33 – 28, 9","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 9-10. 11-12","text":true},"secondReading":{"excerpt":"Rm 14, 7-9","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mt 18, 21-35","text":true}},"B":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Is 50, 5-9a","text":true},"psalms":{"excerpt":"Tv 114, 1-2. 3-4. 5-6. 8-9","text":true},"secondReading":{"excerpt":"Gc 2, 14-18","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 8, 27-35","text":true}},"C":{"chunk":"sunday-ordinary-4","firstReading":{"excerpt":"Xh 32, 7-11. 13-14","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 12-13. 17 và 19","text":true},"secondReading":{"excerpt":"1 Tm 1, 12-17","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 15, 1-10 {hoặc 1-32}","text":true}}},
+            "5250": {"A":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Is 55, 6-9","text":true},"psalms":{"excerpt":"Tv 144, 2-3. 8-9. 17-18","text":true},"secondReading":{"excerpt":"Pl 1, 20c-24. 27a","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mt 20, 1-16a","text":true}},"B":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Kn 2, 12. 17-20","text":true},"psalms":{"excerpt":"Tv 53, 3-4. 5. 6 và 8","text":true},"secondReading":{"excerpt":"Gc 3, 16 – 4, 3","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mc 9, 29-36","text":true}},"C":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Am 8, 4-7","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 4-6. 7-8","text":true},"secondReading":{"excerpt":"1 Tm 2, 1-8","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Lc 16, 10-13 {hoặc 1-13}","text":true}}},
+            "5260": {"A":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Ed 18, 25-28","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Pl 2, 1-5 {hoặc 1-11}","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 21, 28-32","text":true}},"B":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Ds 11, 25-29","text":true},"psalms":{"excerpt":"Tv 18, 8. 10. 12-13. 14","text":true},"secondReading":{"excerpt":"Gc 5, 1-6","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Mc 9, 37-42. 44. 46-47","text":true}},"C":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Am 6, 1a. 4-7","text":true},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","text":true},"secondReading":{"excerpt":"1 Tm 6, 11-16","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Lc 16, 19-31","text":true}}},
+            "5270": {"A":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Is 5, 1-7","text":true},"psalms":{"excerpt":"Tv 79, 9 và 12. 13-14. 15-16. 19-20","text":true},"secondReading":{"excerpt":"Pl 4, 6-9","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 21, 33-43","text":true}},"B":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"St 2, 18-24","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5. 6","text":true},"secondReading":{"excerpt":"Dt 2, 9-11","text":true},"alleluia":{"verse":"Ga 17, 17","text":true},"gospel":{"excerpt":"Mc 10, 2-12","text":true}},"C":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Kb 1, 2-3; 2, 2-4","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","text":true},"secondReading":{"excerpt":"2 Tm 1, 6-8, 13-14","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Lc 17, 5-10","text":true}}},
+            "5280": {"A":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Is 25, 6-10a","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"secondReading":{"excerpt":"Pl 4, 12-14. 19-20","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Mt 22, 1-10 {hoặc 1-14}","text":true}},"B":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Kn 7, 7-11","text":true},"psalms":{"excerpt":"Tv 89, 12-13. 14-15. 16-17","text":true},"secondReading":{"excerpt":"Dt 4, 12-13","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mc 10, 17-27","text":true}},"C":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"2 V 5, 14-17","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"secondReading":{"excerpt":"2 Tm 2, 8-13","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 17, 11-19","text":true}}},
+            "5290": {"A":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Is 45, 1. 4-6","text":true},"psalms":{"excerpt":"Tv 95, 1 và 3. 4-5. 7-8. 9-10a và c","text":true},"secondReading":{"excerpt":"1 Tx 1, 1-5b","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mt 22, 15-21","text":true}},"B":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Is 53, 10-11","text":true},"psalms":{"excerpt":"Tv 32, 4-5. 18-19. 20 và 22","text":true},"secondReading":{"excerpt":"Dt 4, 14-16","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mc 10, 35-45 (bài dài)","text":true}},"C":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Xh 17, 8-13","text":true},"psalms":{"excerpt":"Tv 120, 1-2. 3-4. 5-6. 7-8","text":true},"secondReading":{"excerpt":"2 Tm 3, 14 – 4, 2","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 18, 1-8","text":true}}},
+            "5300": {"A":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Xh 22, 21-27","text":true},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 47 và 51ab","text":true},"secondReading":{"excerpt":"1 Tx 1, 5c-10","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 22, 34-40","text":true}},"B":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Gr 31, 7-9","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"secondReading":{"excerpt":"Dt 5, 1-6","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mc 10, 46-52","text":true}},"C":{"chunk":"sunday-ordinary-5","firstReading":{"excerpt":"Hc 35, 15b-17. 20-22a","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 17-18. 19 và 28","text":true},"secondReading":{"excerpt":"2 Tm 4, 6-8. 16-18","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Lc 18, 9-14","text":true}}},
+            "5310": {"A":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Ml 1, 14b – 2, 2b. 8-10","text":true},"psalms":{"excerpt":"Tv 130, 1. 2. 3","text":true},"secondReading":{"excerpt":"1 Tx 2, 7b-9, 13","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Mt 23, 1-12","text":true}},"B":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Ðnl 6, 2-6","text":true},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 47-51ab","text":true},"secondReading":{"excerpt":"Dt 7, 23-28","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mc 12, 28b-34","text":true}},"C":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Kn 11, 23 – 12, 2","text":true},"psalms":{"excerpt":"Tv 144, 1-2. 8-9. 10-11. 13cd-14","text":true},"secondReading":{"excerpt":"2 Tx 1, 11 – 2, 2","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Lc 19, 1-10","text":true}}},
+            "5320": {"A":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Kn 6, 13-17 (Hl 12-16)","text":true},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 7-8","text":true},"secondReading":{"excerpt":"1 Tx 4, 13 – 14","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 25, 1-13","text":true}},"B":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"V 17, 10-16","text":true},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","text":true},"secondReading":{"excerpt":"Dt 9, 24-28","text":true},"alleluia":{"verse":"Mt 24, 42a và 44","text":true},"gospel":{"excerpt":"Mc 12, 41-44 {hoặc 38-44}","text":true}},"C":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"2 Mcb 7, 1-2. 9-14","text":true},"psalms":{"excerpt":"Tv 16, 1. 5-6. 8b và 15","text":true},"secondReading":{"excerpt":"2 Tx 2, 15 – 3, 5","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 20, 27-38","text":true}}},
+            "5330": {"A":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Cn 31, 10-13, 19-20. 30-31","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"secondReading":{"excerpt":"1 Tx 5, 1-6","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Mt 25, 14-30","text":true}},"B":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Ðn 12, 1-3","text":true},"psalms":{"excerpt":"Tv 15, 5 và 8. 9-10. 11","text":true},"secondReading":{"excerpt":"Dt 10, 11-14. 18","text":true},"alleluia":{"verse":"Kh 2, 10c","text":true},"gospel":{"excerpt":"Mc 13, 24-32","text":true}},"C":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Ml 4, 1-2a","text":true},"psalms":{"excerpt":"Tv 97, 5-6. 7-8. 9","text":true},"secondReading":{"excerpt":"2 Tx 3, 7-12","text":true},"alleluia":{"verse":"Mt 24, 42a và 44","text":true},"gospel":{"excerpt":"Lc 21, 5-19","text":true}}},
+            "5340": {"A":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Ed 34, 11-12. 15-17","text":true},"psalms":{"excerpt":"Tv 22, 1-2a. 2b-3. 5. 6","text":true},"secondReading":{"excerpt":"1 Cr 15, 20-26. 28","text":true},"alleluia":{"verse":"Mc 11, 10","text":true},"gospel":{"excerpt":"Mt 25, 31-46","text":true}},"B":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"Ðn 7, 13-14","text":true},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","text":true},"secondReading":{"excerpt":"Kh 1, 5-8","text":true},"alleluia":{"verse":"Mt 11, 10","text":true},"gospel":{"excerpt":"Ga 18, 33b-37","text":true}},"C":{"chunk":"sunday-ordinary-6","firstReading":{"excerpt":"2 Sm 5, 1-3","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","text":true},"secondReading":{"excerpt":"Cl 1, 12-20","text":true},"alleluia":{"verse":"Mc 11, 10","text":true},"gospel":{"excerpt":"Lc 23, 35-43","text":true}}},
+            "5410": {"A":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Cv 2, 1-11","text":true},"psalms":{"excerpt":"Tv 103, 1ab và 24ac. 29bc-30. 31 và 34","text":true},"secondReading":{"excerpt":"1 Cr 12, 3b-7. 12-13","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 19-23","text":true}},"B":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Cv 2, 1-11","text":true},"psalms":{"excerpt":"Tv 103, 1ab và 24ac. 29bc-30. 31 và 34","text":true},"secondReading":{"excerpt":"1 Cr 12, 3b-7. 12-13","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 19-23","text":true}},"C":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Cv 2, 1-11","text":true},"psalms":{"excerpt":"Tv 103, 1ab và 24ac. 29bc-30. 31 và 34","text":true},"secondReading":{"excerpt":"1 Cr 12, 3b-7. 12-13","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 19-23","text":true}}},
+            "5420": {"A":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Xh 34, 4b-6. 8-9","text":true},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","text":true},"secondReading":{"excerpt":"2 Cr 13, 11-13","text":true},"alleluia":{"verse":"Kh 1, 8","text":true},"gospel":{"excerpt":"Ga 3, 16-18","text":true}},"B":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ðnl 4, 32-34. 39-40","text":true},"psalms":{"excerpt":"Tv 32, 4-5. 6 và 9. 18-19. 20 và 22","text":true},"secondReading":{"excerpt":"Rm 8, 14-17","text":true},"alleluia":{"verse":"Kh 1, 8","text":true},"gospel":{"excerpt":"Mt 28, 16-20","text":true}},"C":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Cn 8, 22-31","text":true},"psalms":{"excerpt":"Tv 8, 4-5. 6-7. 8-9","text":true},"secondReading":{"excerpt":"Rm 5, 1-5","text":true},"alleluia":{"verse":"Kh 1, 8","text":true},"gospel":{"excerpt":"Ga 16, 12-15","text":true}}},
+            "5430": {"A":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ðnl 8, 2-3. 14b-16a","text":true},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20.","text":true},"secondReading":{"excerpt":"1 Cr 10, 16-17","text":true},"alleluia":{"verse":"Ga 6, 51-52","text":true},"gospel":{"excerpt":"Ga 6, 51-59","text":true}},"B":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Xh 24, 3-8","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 15-16bc. 17-18","text":true},"secondReading":{"excerpt":"Dt 9, 11-15","text":true},"alleluia":{"verse":"Ga 6, 51-52","text":true},"gospel":{"excerpt":"Mc 14, 12-16. 22-26","text":true}},"C":{"chunk":"sunday-feasts","firstReading":{"excerpt":"St 14, 18-20","text":true},"psalms":{"excerpt":"Tv 109, 1. 2. 3. 4","text":true},"secondReading":{"excerpt":"1 Cr 11, 23-26","text":true},"alleluia":{"verse":"Ga 6, 51-52","text":true},"gospel":{"excerpt":"Lc 9, 11b-17","text":true}}},
+            "5440": {"A":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ðnl 7, 6-11","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 6-7. 8 và 10","text":true},"secondReading":{"excerpt":"1 Ga 4, 7-16","text":true},"alleluia":{"verse":"Mt 11, 29ab","text":true},"gospel":{"excerpt":"Mt 11, 25-30","text":true}},"B":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Hs 11, 1b, 3-4, 8c-9","text":true},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","text":true},"secondReading":{"excerpt":"Ep 3, 8-12. 14-19","text":true},"alleluia":{"verse":"Mt 11, 29ab","text":true},"gospel":{"excerpt":"Ga 19, 31-37","text":true}},"C":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ed 34, 11-16","text":true},"psalms":{"excerpt":"Tv 22, 1-3. 4. 5. 6","text":true},"secondReading":{"excerpt":"Rm 5, 5-11","text":true},"alleluia":{"verse":"Ga 10,14","text":true},"gospel":{"excerpt":"Lc 15, 3-7","text":true}}},
+            "5450": {"A":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","text":true},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 9","text":true},"secondReading":{"excerpt":"2 Pr 1, 16-19","text":true},"alleluia":{"verse":"Mt 17, 5c","text":true},"gospel":{"excerpt":"Mt 17, 1-9","text":true}},"B":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","text":true},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 9","text":true},"secondReading":{"excerpt":"2 Pr 1, 16-19","text":true},"alleluia":{"verse":"Mt 17, 5c","text":true},"gospel":{"excerpt":"Mc 9, 1-9","text":true}},"C":{"chunk":"sunday-feasts","firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","text":true},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 9","text":true},"secondReading":{"excerpt":"2 Pr 1, 16-19","text":true},"alleluia":{"verse":"Mt 17, 5c","text":true},"gospel":{"excerpt":"Lc 9, 28b-36","text":true}}},
+            "6000": {"A":{"chunk":"sunday-christmas","firstReading":{"excerpt":"Is 60, 1-6","text":true},"psalms":{"excerpt":"Tv 71, 2. 7-8. 10-11a. 12-13","text":true},"secondReading":{"excerpt":"Ep 3, 2-3a. 5-6","text":true},"alleluia":{"verse":"Mt 2, 2","text":true},"gospel":{"excerpt":"Mt 2, 1-12","text":true}},"B":{"chunk":"sunday-christmas","firstReading":{"excerpt":"Is 60, 1-6","text":true},"psalms":{"excerpt":"Tv 71, 2. 7-8. 10-11a. 12-13","text":true},"secondReading":{"excerpt":"Ep 3, 2-3a. 5-6","text":true},"alleluia":{"verse":"Mt 2, 2","text":true},"gospel":{"excerpt":"Mt 2, 1-12","text":true}},"C":{"chunk":"sunday-christmas","firstReading":{"excerpt":"Is 60, 1-6","text":true},"psalms":{"excerpt":"Tv 71, 2. 7-8. 10-11a. 12-13","text":true},"secondReading":{"excerpt":"Ep 3, 2-3a. 5-6","text":true},"alleluia":{"verse":"Mt 2, 2","text":true},"gospel":{"excerpt":"Mt 2, 1-12","text":true}}}
+        },
+        "SEASONAL": {
+            "1011": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 4, 2-6","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5. 6-7. 8-9","text":true},"alleluia":{"verse":"x. Tv 79, 4","text":true},"gospel":{"excerpt":"Mt 8, 5-11","text":true}},
+            "1012": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 11, 1-10","text":true},"psalms":{"excerpt":"Tv 71,2, 7-8,12-13,17","text":true},"alleluia":{"verse":"Tv 84,8","text":true},"gospel":{"excerpt":"Lc 10, 21-24","text":true}},
+            "1013": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 25, 6-10a","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"alleluia":{"verse":"Is 33, 32","text":true},"gospel":{"excerpt":"Mt 15, 29-37","text":true}},
+            "1014": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 26, 1-6","text":true},"psalms":{"excerpt":"Tv 117, 1 và 8-9. 19-21. 25-27a","text":true},"alleluia":{"verse":"Is 40, 9-10","text":true},"gospel":{"excerpt":"Mt 7, 21. 24-27","text":true}},
+            "1015": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 29, 17-24","text":true},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 9, 27-31","text":true}},
+            "1016": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 30, 19-21. 23-26","text":true},"psalms":{"excerpt":"Tv 146, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Is 55, 6","text":true},"gospel":{"excerpt":"(Mt 9, 35 – 10, 1. 6-8)","text":true}},
+            "1021": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 35, 1-10","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"alleluia":{"verse":"Lc 3, 4. 6","text":true},"gospel":{"excerpt":"Lc 5, 17-26","text":true}},
+            "1022": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 40, 1-11","text":true},"psalms":{"excerpt":"Tv 95, 1-2. 3 và 10ac. 11-12. 13","text":true},"alleluia":{"verse":"Lc 3, 4. 6","text":true},"gospel":{"excerpt":"Mt 18, 12-14","text":true}},
+            "1023": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 40, 25-31","text":true},"psalms":{"excerpt":"Tv 103: 1-2, 3-4, 8,10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 11, 28-30","text":true}},
+            "1024": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 41, 13-20","text":true},"psalms":{"excerpt":"Tv 144, 1 và 9. 10-11. 12-13ab","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 11, 11-15","text":true}},
+            "1025": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 48, 17-19","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 11, 16-19","text":true}},
+            "1026": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Hc 48, 1-4. 9-11","text":true},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16. 18-19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 17, 10-13","text":true}},
+            "1031": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Ds 24, 2-7. 15-17a","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 21, 23-27","text":true}},
+            "1032": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Xp 3, 1-2. 9-13","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 6-7. 17-18. 19 và 23","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 21, 28-32","text":true}},
+            "1033": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 45, 6b-8. 18. 21b-26","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 7, 19-23 (Hl 18b-23)","text":true}},
+            "1034": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 54, 1-10","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 7, 24-30","text":true}},
+            "1035": {"chunk":"seasonal-advent","firstReading":{"excerpt":"Is 56,1-3a,6-8","text":true},"psalms":{"excerpt":"Tv 66,2-3,5,6-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Jo 5, 33-36","text":true}},
+            "3004": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ge 2, 12-18","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 12-13. 14 và 17","text":true},"secondReading":{"excerpt":"2 Cr 5, 20 – 6,2","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 6, 1-6. 16-18","text":true}},
+            "3005": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðnl 30, 15-20","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 9, 22-25","text":true}},
+            "3006": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 58, 1-9a","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 18-19","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 9, 14–15","text":true}},
+            "3007": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 58, 9b-14","text":true},"psalms":{"excerpt":"Tv 85, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 5, 27-32","text":true}},
+            "3011": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Lv 19, 1-2. 11-18","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 15","text":true},"alleluia":{"verse":": Tv 50, 12a và 14a","text":true},"gospel":{"excerpt":"Mt 25, 31-46","text":true}},
+            "3012": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 55, 10-11","text":true},"psalms":{"excerpt":"Tv 33, 4-5. 6-7. 16-17. 18-19","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 6, 7-15","text":true}},
+            "3013": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Gn 3, 1-10","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 12-13. 18-19","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 11, 29-32","text":true}},
+            "3014": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Est 14, 1. 3-5. 12-14","text":true},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 7c-8","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 7, 7-12","text":true}},
+            "3015": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ed 18, 21-28","text":true},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 4c-6. 7-8","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 5, 20-26","text":true}},
+            "3016": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðnl 26, 16-19","text":true},"psalms":{"excerpt":"Tv 118, 1-2. 4-5. 7-8","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 5, 43-48","text":true}},
+            "3021": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðn 9, 4b-10","text":true},"psalms":{"excerpt":"Tv 78, 8. 9. 11 và 13","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 6, 36-38","text":true}},
+            "3022": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 1, 10. 16-20","text":true},"psalms":{"excerpt":"Tv 49, 8-9. 16bc-17. 21 và 23","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 23, 1-12","text":true}},
+            "3023": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Gr 18, 18-20","text":true},"psalms":{"excerpt":"Tv 30, 5-6. 14. 15-16","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 20, 17-28","text":true}},
+            "3024": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Gr 17, 5-10","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 16, 19-31","text":true}},
+            "3025": {"chunk":"seasonal-lent","firstReading":{"excerpt":"St 37, 3-4. 12-13a. 17b-28","text":true},"psalms":{"excerpt":"Tv 104, 16-17. 18-19. 20-21","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 21, 33-43. 45-46","text":true}},
+            "3026": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Mk 7, 14-15. 18-20","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 9-10. 11-12","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 15, 1-3. 11-32","text":true}},
+            "3031": {"chunk":"seasonal-lent","firstReading":{"excerpt":"2 V 5, 1-15a","text":true},"psalms":{"excerpt":"Tv 41, 2. 3, và Tv 42, 3. 4","text":true},"alleluia":{"verse":": Tv 129, 5 và 7","text":true},"gospel":{"excerpt":"Lc 4, 24-30","text":true}},
+            "3032": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðn 3, 25. 34-43","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Phúc Âm: Mt 18, 21-35","text":true}},
+            "3033": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðnl 4, 1. 5-9","text":true},"psalms":{"excerpt":"Tv 147, 12-13. 15-16. 19-20","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 5, 17-19","text":true}},
+            "3034": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Gr 7, 23-28","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Lc 11, 14-23","text":true}},
+            "3035": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Hs 14, 2-10","text":true},"psalms":{"excerpt":"Tv 80, 6c-8a. 8bc-9. 10-11ab. 14 và 17","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mc 12, 28b-34","text":true}},
+            "3036": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Hs 6, 1b-6","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 18-19. 20-21ab","text":true},"alleluia":{"verse":": Ga 8, 12b","text":true},"gospel":{"excerpt":"Lc 18, 9-14","text":true}},
+            "3041": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 65, 17-21","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11e-12a và 13b","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 4, 43-54","text":true}},
+            "3042": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ed 47, 1-9. 12","text":true},"psalms":{"excerpt":"Tv 45, 2-3. 5-6. 8-9","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 5, 1-3a. 5-16","text":true}},
+            "3043": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 49, 8-15","text":true},"psalms":{"excerpt":"Tv 144, 8-9. 13cd-14. 17-18","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 5, 17-30","text":true}},
+            "3044": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Xh 32, 7-14","text":true},"psalms":{"excerpt":"Tv 105, 19-20. 21-22. 23","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Phúc Âm: Ga 5, 31-47","text":true}},
+            "3045": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Kn 2, 1a. 12-22","text":true},"psalms":{"excerpt":"Tv 33, 17-18. 19-20. 21 và 23","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 7, 1-2. 10. 25-30","text":true}},
+            "3046": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Gr 11, 18-20","text":true},"psalms":{"excerpt":"Tv 7, 2-3. 9bc-10. 11-12","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 7, 40-53","text":true}},
+            "3051": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðn 13, 1-9. 15-17. 19-30. 33-62 (Bài dài)","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"alleluia":{"verse":": 2 Cr 6, 2b","text":true},"gospel":{"excerpt":"Ga 8, 1-11","text":true}},
+            "3052": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ds 21, 4-9","text":true},"psalms":{"excerpt":"Tv 101, 2-3. 16-18. 19-21","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 8, 21-30","text":true}},
+            "3053": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ðn 3, 14-20. 91-92. 95","text":true},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":" Ga 8, 31-42","text":true}},
+            "3054": {"chunk":"seasonal-lent","firstReading":{"excerpt":"St 17, 3-9","text":true},"psalms":{"excerpt":"Tv 104, 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 8, 51-59","text":true}},
+            "3055": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Gr 20, 10-13","text":true},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 5-6. 7","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 10, 31-42","text":true}},
+            "3056": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ed 37, 21-28","text":true},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 11, 45-56","text":true}},
+            "3061": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 42, 1-7","text":true},"psalms":{"excerpt":"Tv 26, 1. 2. 3. 13-14","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 12, 1-11","text":true}},
+            "3062": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 49, 1-6","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15 và 17","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 13, 21-33. 36-38","text":true}},
+            "3063": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 50, 4-9a","text":true},"psalms":{"excerpt":"Tv 68, 8-10. 21bcd-22. 31 và 33-34","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Mt 26, 14-25","text":true}},
+            "3064": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Xh 12, 1-8. 11-14","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 15-16bc. 17-18","text":true},"secondReading":{"excerpt":"1 Cr 11, 23-26","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 13, 1-15","text":true}},
+            "3065": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Is 52, 13-53, 12","text":true},"psalms":{"excerpt":"Tv 30, 2 và 6. 12-13. 15-16. 17 và 25","text":true},"secondReading":{"excerpt":"Dt 4, 14-16; 5, 7-9","text":true},"alleluia":{"verse":":","text":true},"gospel":{"excerpt":"Ga 18, 1 – 19, 42","text":true}},
+            "3066": {"chunk":"seasonal-lent","firstReading":{"excerpt":"Ed 36, 16-17a. 18-28 (Bài cuối cựu ước)","text":true},"psalms":{"excerpt":"Tv 41, 3. 5bcd; Tv 42, 3. 4","text":true},"secondReading":{"excerpt":"Rm 6, 3-11","text":true},"alleluia":{"verse":" xướng 3 lần Alleluia , sau đó hát đáp ca: ","text":true},"gospel":{"excerpt":"(A)Mt 28, 1-10; (B) Mc 16,1-8: (C)Lc 24, 1-12"}},
+            "4011": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 2, 14. 22-32","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 28, 8-15","text":true}},
+            "4012": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 2, 36-41","text":true},"psalms":{"excerpt":"Tv 32, 4-5. 18-19. 20 và 22","text":true},"alleluia":{"verse":"Ga 14, 8","text":true},"gospel":{"excerpt":"Ga 20, 11-18","text":true}},
+            "4013": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 3, 1-10","text":true},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7. 8-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 24, 13-35","text":true}},
+            "4014": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 3, 11-26","text":true},"psalms":{"excerpt":"Tv 8, 2a và 5. 6-7. 8-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 24, 35-48","text":true}},
+            "4015": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 4, 1-12","text":true},"psalms":{"excerpt":"Tv 117, 1-2 và 4. 22-24. 25-27a","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 21, 1-14","text":true}},
+            "4016": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 4, 13-21","text":true},"psalms":{"excerpt":"Tv 117, 1 và 14-15. 16ab-18. 19-21","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 16, 9-15","text":true}},
+            "4021": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 4, 23-31","text":true},"psalms":{"excerpt":"Tv 2, 1-3. 4-6. 7-9","text":true},"alleluia":{"verse":"Mt 23, 19 và 20","text":true},"gospel":{"excerpt":"Ga 3, 1-8","text":true}},
+            "4022": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 4, 32-37","text":true},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","text":true},"alleluia":{"verse":"Ga 14, 18","text":true},"gospel":{"excerpt":"Ga 3, 7-15","text":true}},
+            "4023": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 5, 17-26","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Ga 14, 26","text":true},"gospel":{"excerpt":"Ga 3, 16-21","text":true}},
+            "4024": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 5, 27-33","text":true},"psalms":{"excerpt":"Tv 33, 2 và 9. 17-18. 19-20","text":true},"alleluia":{"verse":"Ga 16, 7 và 13","text":true},"gospel":{"excerpt":"Ga 3, 31-36","text":true}},
+            "4025": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 5, 34-42","text":true},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","text":true},"alleluia":{"verse":"Cl 3, 1","text":true},"gospel":{"excerpt":"Ga 6, 1-15","text":true}},
+            "4026": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 6, 1-7","text":true},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 18-19","text":true},"alleluia":{"verse":"Ga 19, 28","text":true},"gospel":{"excerpt":"Ga 6, 16-21","text":true}},
+            "4031": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 6, 8-15","text":true},"psalms":{"excerpt":"Tv 118, 23-24. 26-27. 29-30","text":true},"alleluia":{"verse":"Ga 16, 28","text":true},"gospel":{"excerpt":"Ga 6, 22-29","text":true}},
+            "4032": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 7, 51-59","text":true},"psalms":{"excerpt":"Tv 30, 3cd-4. 6ab và 7b và 8a. 17 và 21ab","text":true},"alleluia":{"verse":"Ga 16, 7 và 13","text":true},"gospel":{"excerpt":"Ga 6, 30-35","text":true}},
+            "4033": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 8, 1-8","text":true},"psalms":{"excerpt":"Tv 65, 1-3a. 4-5. 6-7a","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Ga 6, 35-40","text":true}},
+            "4034": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 8, 26-40","text":true},"psalms":{"excerpt":"Tv 65, 8-9. 16-17. 20","text":true},"alleluia":{"verse":"Ga 14, 18","text":true},"gospel":{"excerpt":"Ga 6, 44-51","text":true}},
+            "4035": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 9, 1-20","text":true},"psalms":{"excerpt":"Tv 116, 1. 2","text":true},"alleluia":{"verse":"Ga 14, 16","text":true},"gospel":{"excerpt":"Ga 6, 52-59","text":true}},
+            "4036": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 9, 31-42","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 14-15. 16-17","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Ga 6, 61-70","text":true}},
+            "4041": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 11, 1-18","text":true},"psalms":{"excerpt":"Tv 41, 2. 3; 42, 3. 4","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 10, 1-10","text":true}},
+            "4042": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 11, 19-26","text":true},"psalms":{"excerpt":"Tv 86, 1-3. 4-5. 6-7","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 10, 22-30","text":true}},
+            "4043": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 12, 24 – 13, 5a","text":true},"psalms":{"excerpt":"Tv 66, 2-3. 5. 6 và 8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 12, 44-50","text":true}},
+            "4044": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 13, 13-25","text":true},"psalms":{"excerpt":"Tv 88, 2-3. 21- 22. 25 và 27","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Ga 13, 16-20","text":true}},
+            "4045": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 13, 26-33","text":true},"psalms":{"excerpt":"Tv 2, 6-7. 8-9. 10-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 14, 1-6","text":true}},
+            "4046": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 13, 44-52","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"alleluia":{"verse":"Cl 3, 1","text":true},"gospel":{"excerpt":"Ga 14, 7-14","text":true}},
+            "4051": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 14, 5-17","text":true},"psalms":{"excerpt":"Tv 113B, 1-2. 3-4. 15-16","text":true},"alleluia":{"verse":"Cl 3, 1","text":true},"gospel":{"excerpt":"Ga 14, 21-26","text":true}},
+            "4052": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 14, 18-27","text":true},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 21","text":true},"alleluia":{"verse":"Ga 16, 28","text":true},"gospel":{"excerpt":"Ga 14, 27-31a","text":true}},
+            "4053": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 15, 1-6","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","text":true},"alleluia":{"verse":"Ga 16, 28","text":true},"gospel":{"excerpt":"Ga 15, 1-8","text":true}},
+            "4054": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 15, 7-21","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 10","text":true},"alleluia":{"verse":"Ga 16, 17 và 13","text":true},"gospel":{"excerpt":"Ga 15, 9-11","text":true}},
+            "4055": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 15, 22-31","text":true},"psalms":{"excerpt":"Tv 56, 8-9. 10-12","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Ga 15, 12-17","text":true}},
+            "4056": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 16, 1-10","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 5","text":true},"alleluia":{"verse":"Ga 14, 16","text":true},"gospel":{"excerpt":"Ga 15, 18-21","text":true}},
+            "4061": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 16, 11-15","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5 và 6a và 9b","text":true},"alleluia":{"verse":"Ga 14, 13","text":true},"gospel":{"excerpt":"Ga 15, 26-16. 4","text":true}},
+            "4062": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 16, 22-34","text":true},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 7c-8","text":true},"alleluia":{"verse":"Ga 14, 26","text":true},"gospel":{"excerpt":"Ga 16, 5b-11","text":true}},
+            "4063": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 17, 15. 22 – 18,1","text":true},"psalms":{"excerpt":"Tv 148, 1-2. 11-12ab. 12c-14a. 14bcd","text":true},"alleluia":{"verse":"Ga 16, 7 và 13","text":true},"gospel":{"excerpt":"Ga 16, 12-15","text":true}},
+            "4064": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 18, 1-8","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"alleluia":{"verse":"Ga 16, 28","text":true},"gospel":{"excerpt":"Ga 16, 16-20","text":true}},
+            "4065": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 18, 9-18","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Cl 3, 1","text":true},"gospel":{"excerpt":"Ga 16, 20-23a","text":true}},
+            "4066": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 18, 23-28","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 8-9. 10","text":true},"alleluia":{"verse":"Ga 28, 19 và 20","text":true},"gospel":{"excerpt":"Ga 16, 23b-28","text":true}},
+            "4071": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 19, 1-8","text":true},"psalms":{"excerpt":"Tv 67, 2-3. 4-5ac. 6-7ab","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Ga 16, 29-33","text":true}},
+            "4072": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 20, 17-27","text":true},"psalms":{"excerpt":"Tv 67, 10-11. 20-21","text":true},"alleluia":{"verse":"Ga 14, 16","text":true},"gospel":{"excerpt":"Ga 17, 1-11a","text":true}},
+            "4073": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 20, 28-38","text":true},"psalms":{"excerpt":"Tv 67, 29-30. 33-35a. 35b-36c","text":true},"alleluia":{"verse":"Mt 28, 19 và 20","text":true},"gospel":{"excerpt":"Ga 17, 11b-19","text":true}},
+            "4074": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 22, 30; 23, 6-11","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","text":true},"alleluia":{"verse":"Ga 14, 18","text":true},"gospel":{"excerpt":"Ga 17, 20-26","text":true}},
+            "4075": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 25, 13-21","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 11-12. 19-20ab","text":true},"alleluia":{"verse":"Ga 14, 18","text":true},"gospel":{"excerpt":"Ga 21, 15-19","text":true}},
+            "4076": {"chunk":"seasonal-easter","firstReading":{"excerpt":"Cv 28, 16-20. 30-31","text":true},"psalms":{"excerpt":"Tv 10, 5. 6 và 8","text":true},"alleluia":{"verse":"Ga 14, 16","text":true},"gospel":{"excerpt":"Ga 21, 20-25","text":true}},
+            "4089": {"chunk":"seasonal-easter","firstReading":{"excerpt":"St 11, 1-9 (hay Xh 19,3-8. 16-20)","text":true},"psalms":{"excerpt":"Tv 103, 1-2a; 25c, 27-28, 29bc-30","text":true},"secondReading":{"excerpt":"Rm. 8,22-27","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 7,37-39","text":true}},
+            "6001": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 3, 22 – 4, 6","text":true},"psalms":{"excerpt":"Tv 2, 7-8. 10-11","text":true},"alleluia":{"verse":"Mt 4,17","text":true},"gospel":{"excerpt":"Mt 4, 12-17. 23-25","text":true}},
+            "6002": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 4, 7-10","text":true},"psalms":{"excerpt":"Tv 71, 2. 3-4ab. 7-8","text":true},"alleluia":{"verse":"Mt 4, 22","text":true},"gospel":{"excerpt":"Mc 6, 34-44","text":true}},
+            "6003": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 4, 11-18","text":true},"psalms":{"excerpt":"Tv 71, 2. 10. 12-13","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 6, 45-52","text":true}},
+            "6004": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 4, 19 – 5, 4","text":true},"psalms":{"excerpt":"Tv 71, 2. 14 và 15bc. 17","text":true},"alleluia":{"verse":"Lc 7, 16","text":true},"gospel":{"excerpt":"Lc 4, 14-22a","text":true}},
+            "6005": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 5, 5-6. 8-13 (Hl 5-13)","text":true},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20","text":true},"alleluia":{"verse":"1 Tm 3,36","text":true},"gospel":{"excerpt":"Lc 5, 12-16","text":true}},
+            "6006": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 5, 14-21","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5 và 6a và 9b","text":true},"alleluia":{"verse":"Dt 1, 1-2","text":true},"gospel":{"excerpt":"Ga 3, 22-30","text":true}},
+            "20201": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1Ga 2, 22-28","text":true},"psalms":{"excerpt":"Tv 97,1.2-3a, 3cd-4","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Ga 1, 19-28","text":true}},
+            "20301": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 2,29-3,6","text":true},"psalms":{"excerpt":"Tv. 97,1.3cd-4,5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 1, 29-34","text":true}},
+            "20401": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 3, 7-10","text":true},"psalms":{"excerpt":"Tv. 97,7-8,9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 1,35-42","text":true}},
+            "20501": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 3, 11-21","text":true},"psalms":{"excerpt":"Tv. 99,2,3, 4,5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 1,43-51","text":true}},
+            "20601": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 5,5-6.8-13","text":true},"psalms":{"excerpt":"Tv. 147, 12-13, 14-15, 19-20","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mc 1, 6b-11","text":true}},
+            "20701": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 5, 14-21","text":true},"psalms":{"excerpt":"Tv. 149,1-2, 3-4, 5 và 6a và 9b","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 2, 1-12","text":true}},
+            "21712": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"St 49, 2. 8-10","text":true},"psalms":{"excerpt":"Tv 71, 2. 3-4ab. 7-8. 17","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 1-17","text":true}},
+            "21812": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"Gr 23, 5-8","text":true},"psalms":{"excerpt":"Tv 71, 2. 12-13. 18-19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 18-24","text":true}},
+            "21912": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"Judic 13, 2-7, 24-25a","text":true},"psalms":{"excerpt":"Tv. 70, 3-4a, 5.6ab, 16-17","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 5-25","text":true}},
+            "22012": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"Is 7, 10-14","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "22112": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"Dc 2, 8-14","text":true},"psalms":{"excerpt":"Tv 32, 2-3. 11-12. 20-21","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 39-45","text":true}},
+            "22212": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Sm 1, 24-28","text":true},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8abcd","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 46-56","text":true}},
+            "22312": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"Ml 3, 1-4; 4, 5-6 (Hr 3, 1-4, 23-24)","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 8-9. 10 và 14","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 57-66","text":true}},
+            "22412": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"2 Sm 7, 1-5. 8b-12. 16","text":true},"psalms":{"excerpt":"Tv 88, 2-3. 4-5. 27 và 29","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 67-79","text":true}},
+            "22612": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"Cv 6, 8-10; 7,54-59","text":true},"psalms":{"excerpt":"Tv. 30,3cd 4, 6ab và 8a, 17 và 21ab","text":true},"alleluia":{"verse":"Tv. 117, 26a và 27a","text":true},"gospel":{"excerpt":"Mt 10,17-22","text":true}},
+            "22712": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 1, 1-4","text":true},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 11-12","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 2-8","text":true}},
+            "22812": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 1, 5 – 2,2","text":true},"psalms":{"excerpt":"Tv 123, 2-3. 4-5. 7b-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 2, 13-18","text":true}},
+            "22912": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 2, 3-11","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 2, 22-35","text":true}},
+            "23012": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 2, 12-17","text":true},"psalms":{"excerpt":"Tv 95, 7-8a. 8b-9. 10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 2, 36-40","text":true}},
+            "23112": {"chunk":"seasonal-christmas","firstReading":{"excerpt":"1 Ga 2, 18-21","text":true},"psalms":{"excerpt":"Tv 95, 1-2. 11-12. 13","text":true},"alleluia":{"verse":"Dt 1, 2","text":true},"gospel":{"excerpt":"Ga 1, 1-18","text":true}}
+        },
+        "ORDINARY_Y1": {
+            "5011": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 1, 1-6","text":true},"psalms":{"excerpt":"Tv 96, 1 và 2b. 6 và 7c. 9","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mc 1, 14-20","text":true}},
+            "5012": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 2, 5-12","text":true},"psalms":{"excerpt":"Tv 8, 2a và 5. 6-7. 8-9.","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mc 1, 21-28","text":true}},
+            "5013": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 2, 14-18","text":true},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7. 8-9.","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mc 1, 29-39","text":true}},
+            "5014": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 3, 7-14","text":true},"psalms":{"excerpt":"Tv 94, 6-7. 8-9. 10-11.","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mc 1, 40-45","text":true}},
+            "5015": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 4, 1-5. 11","text":true},"psalms":{"excerpt":"Tv 77, 3 và 4bc. 6c-7. 8","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mc 2, 1-12","text":true}},
+            "5016": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 4, 12-16","text":true},"psalms":{"excerpt":"Tv 18, 8 . 9. 10. 15","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 2, 13-17","text":true}},
+            "5021": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 5, 1-10","text":true},"psalms":{"excerpt":"Tv 109, 1. 2. 3. 4.","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mc 2, 18-22","text":true}},
+            "5022": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 6, 10-20","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 4-5. 9 và 10c","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mc 2, 23-28","text":true}},
+            "5023": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 7, 1-3. 15-17","text":true},"psalms":{"excerpt":"Tv 109, 1. 2. 3. 4","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mc 3, 1-6","text":true}},
+            "5024": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 7, 25 – 8, 6","text":true},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 17","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mc 3, 7-12","text":true}},
+            "5025": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 8, 6-13","text":true},"psalms":{"excerpt":"Tv 84, 8 và 10. 11-12. 13-14.","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 3, 13-19","text":true}},
+            "5026": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 9, 2-3, 11-14","text":true},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 3, 20-21","text":true}},
+            "5031": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 9, 15. 24-28","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6.","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mc 3, 22-30","text":true}},
+            "5032": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 10, 1-10","text":true},"psalms":{"excerpt":"Tv. 39,2 và 4ab, 7-8a, 7-9, 10, 11","text":true},"alleluia":{"verse":"Ga 15,15b","text":true},"gospel":{"excerpt":"Mc 3, 31-35","text":true}},
+            "5033": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 10, 11-18","text":true},"psalms":{"excerpt":"Tv. 88, 4-5, 27-28, 29-30","text":true},"alleluia":{"verse":"1Sam 3,9","text":true},"gospel":{"excerpt":"Mc 4,1-20","text":true}},
+            "5034": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 10, 19-25","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6.","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mc 4, 21-25","text":true}},
+            "5035": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 10, 32-39","text":true},"psalms":{"excerpt":"Tv 36, 3-4. 5-6. 23-24. 39-40","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mc 4, 26-34","text":true}},
+            "5036": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(năm I) Dt 11, 1-2. 8-19","text":true},"psalms":{"excerpt":"Lc 1, 69-70. 71-72. 73-75","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mc 4, 35-41","text":true}},
+            "5041": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 11, 32-40","text":true},"psalms":{"excerpt":"Tv 30, 20. 21. 22. 23. 24.","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 5, 1-20","text":true}},
+            "5042": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 12, 1-4","text":true},"psalms":{"excerpt":"Tv 21, 26b-27. 28 và 30. 31-32","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mc 5, 21-43","text":true}},
+            "5043": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I): Dt 12, 4-7. 11-15","text":true},"psalms":{"excerpt":"Tv. 102, 1-2, 13-14, 17-18a","text":true},"alleluia":{"verse":"Ga 8,12","text":true},"gospel":{"excerpt":"Mc 6,1-6","text":true}},
+            "5044": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 12, 18-19. 21-24","text":true},"psalms":{"excerpt":"Tv 47, 2-3a. 3b-4. 9. 10-11.","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mc 6, 7-13","text":true}},
+            "5045": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 13, 1-8","text":true},"psalms":{"excerpt":"Tv 26, 1. 3. 5. 8b-9abc","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mc 6, 14-29","text":true}},
+            "5046": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 13, 15-17, 20-21","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 6, 30-34","text":true}},
+            "5051": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 1, 1-19","text":true},"psalms":{"excerpt":"Tv 103, 1-2a. 5-6. 10 và 12. 24 và 35c","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 6, 53-56","text":true}},
+            "5052": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 1, 20 – 2, 4a","text":true},"psalms":{"excerpt":"Tv 8, 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mc 7, 1-13","text":true}},
+            "5053": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm lẻ) St 2, 4b-9. 15-17","text":true},"psalms":{"excerpt":"Tv. 103, 1-2a 27-28, 29bc-30","text":true},"alleluia":{"verse":"Ga. 15, 15b","text":true},"gospel":{"excerpt":"Mc 7,14-23","text":true}},
+            "5054": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 2, 18-25","text":true},"psalms":{"excerpt":"Tv. 127, 1, 2-3, 4-5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 7, 24-30","text":true}},
+            "5055": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 3, 1-8","text":true},"psalms":{"excerpt":"Tv 31, 1-2.5.6.7","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 7, 31-37","text":true}},
+            "5056": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 3, 9-24","text":true},"psalms":{"excerpt":"Tv 89,2.3-4.5-6.12-13","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 1-10","text":true}},
+            "5061": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 4,1-15.25","text":true},"psalms":{"excerpt":"Tv 49, 1 và 8. 16bc-17. 20-21","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 11-13","text":true}},
+            "5062": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 6,5-8;7,1-5.10","text":true},"psalms":{"excerpt":"Tv 28,1a và 2.3ac-4.3b và 9b-10.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 14-21","text":true}},
+            "5063": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 8, 6-13. 20-22","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 14-15. 18-19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 22-26","text":true}},
+            "5064": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) St 9, 1-13","text":true},"psalms":{"excerpt":"Tv 101, 16-18. 19-21. 29 và 22-23","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 27-33","text":true}},
+            "5065": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I)  St 11, 1-9","text":true},"psalms":{"excerpt":"Tv 32, 10-11. 12-13. 14-15","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 34-39","text":true}},
+            "5066": {"chunk":"year1-ordinary-1","firstReading":{"excerpt":"(Năm I) Dt 11, 1-7","text":true},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 10-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 1-12","text":true}},
+            "5071": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 1, 1-10","text":true},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 13-28 (Gr 14-29)","text":true}},
+            "5072": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 2, 1-13","text":true},"psalms":{"excerpt":"Tv 36, 3-4. 18-19. 27-28. 39-40.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 29-36 (Hl 30-37)","text":true}},
+            "5073": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 4, 12-22 (Gr 11-19)","text":true},"psalms":{"excerpt":"Tv 118, 165. 168. 171. 172. 174. 175.","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 9, 37-39 (Gr 38-40)","text":true}},
+            "5074": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 5, 1-10 (Gr 1-8)","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 40-49 (Gr 41-50)","text":true}},
+            "5075": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 6, 5-17","text":true},"psalms":{"excerpt":"Tv 118, 12. 16. 18. 27. 34. 35.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 1-12","text":true}},
+            "5076": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 17, 1-13","text":true},"psalms":{"excerpt":"Tv 102, 13-14. 15-16. 17-18a.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 13-16","text":true}},
+            "5081": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 17, 20-28 (Gr 24-29)","text":true},"psalms":{"excerpt":"Tv 31, 1-2. 5. 6. 7","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 17-27","text":true}},
+            "5082": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 35, 1-15 (Gr 1-12)","text":true},"psalms":{"excerpt":"Tv 49, 5-6. 7-8. 14 và 23","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 28-31","text":true}},
+            "5083": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 36, 1-2a. 5-6. 13-19","text":true},"psalms":{"excerpt":"Tv 78, 8. 9. 11. 13","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 10, 32-45","text":true}},
+            "5084": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 42, 15-26","text":true},"psalms":{"excerpt":"Tv 32, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mc 10, 46-52","text":true}},
+            "5085": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 44, 1. 9-13","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","text":true},"alleluia":{"verse":"Dt 4, 12","text":true},"gospel":{"excerpt":"Mc 11, 11-26","text":true}},
+            "5086": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Hc 51, 17-27","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","text":true},"alleluia":{"verse":"Gc 1, 18","text":true},"gospel":{"excerpt":"Mc 11, 27-33","text":true}},
+            "5091": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Tb 1, 1a. 2; 2, 1-9","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 1-12","text":true}},
+            "5092": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Tob 2, 10-23","text":true},"psalms":{"excerpt":"TV. 111, 1-2, 7bc-8,9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 13-17","text":true}},
+            "5093": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Tb 3, 1-11. 24-25 (Gr1-11. 16)","text":true},"psalms":{"excerpt":"Tv 24, 2-4a. 4b-5ab. 6-7bc. 8-9","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 12, 18-27","text":true}},
+            "5094": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Tb 6, 10-11a; 7, 1. 9-17; 8, 4-10","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 12, 28b-34","text":true}},
+            "5095": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Tob 11, 5-17","text":true},"psalms":{"excerpt":"Tv 145, 2abc, 7,8-9abc-10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 35-37","text":true}},
+            "5096": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) Tob 12, 1-5.20","text":true},"psalms":{"excerpt":"Tob 13, 2, 6, 7, 8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 38 – 44","text":true}},
+            "5101": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 1, 1-7","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 5, 1-12","text":true}},
+            "5102": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 1, 18-22","text":true},"psalms":{"excerpt":"Tv 118, 129. 130. 131. 132. 133. 135","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 5, 13-16","text":true}},
+            "5103": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 3, 4-11","text":true},"psalms":{"excerpt":"Tv 98, 5. 6. 7. 8. 9","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 5, 17-19","text":true}},
+            "5104": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 3, 15 – 4, 1. 3-6","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"alleluia":{"verse":"Ga 14, 29","text":true},"gospel":{"excerpt":"Mt 5, 20-26","text":true}},
+            "5105": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 4, 7-15","text":true},"psalms":{"excerpt":"Tv 115, 10-11. 15-16. 17-18","text":true},"alleluia":{"verse":"Ga 1, 14 và 22b","text":true},"gospel":{"excerpt":"Mt 5, 27-32","text":true}},
+            "5106": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2Cor 5, 14-21","text":true},"psalms":{"excerpt":"Tv 102, 1-2, 3-4, 9-10, 11-12","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mt 5, 33-37","text":true}},
+            "5111": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 6, 1-10","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 5, 38-42","text":true}},
+            "5112": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 8, 1-9","text":true},"psalms":{"excerpt":"Tv 145, 2. 5-6. 7. 8-9a","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a:","text":true},"gospel":{"excerpt":"Mt 5, 43-48","text":true}},
+            "5113": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 9, 6-11","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 9","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 6, 1-6. 16-18","text":true}},
+            "5114": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 11, 1-11","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 7-8","text":true},"alleluia":{"verse":"Tv 144, 13bc","text":true},"gospel":{"excerpt":"Mt 6, 7-15","text":true}},
+            "5115": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 11, 18. 21b-30","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 6, 19-23","text":true}},
+            "5116": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) 2 Cr 12, 1-10","text":true},"psalms":{"excerpt":"Tv 33, 8-9. 10-11. 12-13","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mt 6, 24-34","text":true}},
+            "5121": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) St 12, 1-9","text":true},"psalms":{"excerpt":"Tv 32, 12-13. 18-19. 20 và 22","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 7, 1-5","text":true}},
+            "5122": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) St 13, 2. 5-18","text":true},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 7, 6. 12-14","text":true}},
+            "5123": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) St 15, 1-12. 17-18","text":true},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7. 8-9","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 7, 15-20","text":true}},
+            "5124": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) St 16, 1-12. 15-16","text":true},"psalms":{"excerpt":"Tv 105, 1-2. 3-4a. 4b-5","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mt 7, 21-29","text":true}},
+            "5125": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) St 17,1.9-10.15-22","text":true},"psalms":{"excerpt":"127,1-2,3,4-5","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 8, 1-4","text":true}},
+            "5126": {"chunk":"year1-ordinary-2","firstReading":{"excerpt":"(Năm I) St 18, 1-15","text":true},"psalms":{"excerpt":"Lc 1, 46-47. 48-49. 50 và 53. 54-55","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 8, 5-17","text":true}},
+            "5131": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 18, 16-33","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8-9. 10-11","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 8, 18-22","text":true}},
+            "5132": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 19, 15-29","text":true},"psalms":{"excerpt":"Tv 25, 2-3. 9-10. 11-12","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 8, 23-27","text":true}},
+            "5133": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 21, 5.8-20","text":true},"psalms":{"excerpt":"Tv 33,7-8.10-11,12-13","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 8,28-34","text":true}},
+            "5134": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 22, 1-19","text":true},"psalms":{"excerpt":"Tv 114, 1-2. 3-4. 5-6. 8-9","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 9, 1-8","text":true}},
+            "5135": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 23, 1-4. 19; 24, 1-8. 62-67","text":true},"psalms":{"excerpt":"Tv 105, 1-2. 3-4a. 4b-5","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 9, 9-13","text":true}},
+            "5136": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 27, 1-5. 15-29","text":true},"psalms":{"excerpt":"Tv 134, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 9, 14-17","text":true}},
+            "5141": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 28, 10-22a","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 14-15ab","text":true},"alleluia":{"verse":"Tv 144, 14cd","text":true},"gospel":{"excerpt":"Mt 9, 18-26","text":true}},
+            "5142": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 32, 22-32 (Gr 23-33)","text":true},"psalms":{"excerpt":"Tv 16, 1. 2-3. 6-7. 8b và15","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mt 9, 32-38","text":true}},
+            "5143": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 41, 55-57; 42, 5-7a. 17-24a","text":true},"psalms":{"excerpt":"Tv 32, 2-3. 10-11. 18-19","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 10, 1-7","text":true}},
+            "5144": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 44, 18-21. 23b-29; 45, 1-5","text":true},"psalms":{"excerpt":"Tv 104, 16-17. 18-19. 20-21","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 10, 7-15","text":true}},
+            "5145": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 46, 1-7. 28-30","text":true},"psalms":{"excerpt":"Tv 36, 3-4. 18-19. 27-28. 39-40","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mt 10, 16-23","text":true}},
+            "5146": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) St 49, 29-33; 50, 15-24","text":true},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 10, 24-33","text":true}},
+            "5151": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 1, 8-14. 22","text":true},"psalms":{"excerpt":"Tv 123, 1-3. 4-6. 7-8","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 10, 34 – 11, 1","text":true}},
+            "5152": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 2, 1-15a","text":true},"psalms":{"excerpt":"Tv 68, 3. 14. 30-31. 33-34","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 11, 20-24","text":true}},
+            "5153": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 3, 1-6. 9-12","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 6-7","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 11, 25-27","text":true}},
+            "5154": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 3, 13-20","text":true},"psalms":{"excerpt":"Tv 104, 1và 5. 8-9. 24-25. 26-27","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 11, 28-30","text":true}},
+            "5155": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 11, 10 – 12, 14","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 15-16bc. 17-18","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mt 12, 1-8","text":true}},
+            "5156": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 12, 37 – 42","text":true},"psalms":{"excerpt":"Tv 135, 1 và 23-24. 10-12. 13-15","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mt 12, 14 – 21","text":true}},
+            "5161": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 14, 5-18","text":true},"psalms":{"excerpt":"Xh 15, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mt 12, 38-42","text":true}},
+            "5162": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 14, 21 – 15, 1","text":true},"psalms":{"excerpt":"Xh 15, 8-9. 10 và 12. 17","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 12, 46-50","text":true}},
+            "5163": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 16, 1-5. 9-15","text":true},"psalms":{"excerpt":"Tv 77, 18-19. 23-24. 25-26. 27-28","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 13, 1-9","text":true}},
+            "5164": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 19, 1-2. 9-11. 16-20b","text":true},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Mt 13, 10-17","text":true}},
+            "5165": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 20, 1-17","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","text":true},"alleluia":{"verse":"Gc 1, 13","text":true},"gospel":{"excerpt":"Mt 13, 18-23","text":true}},
+            "5166": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 24, 3-8","text":true},"psalms":{"excerpt":"Tv 49, 1-2. 5-6. 14-15","text":true},"alleluia":{"verse":"Gc 1, 21","text":true},"gospel":{"excerpt":"Mt 13, 24-30","text":true}},
+            "5171": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 32, 15-24. 30-34","text":true},"psalms":{"excerpt":"Tv 105, 19-20. 21-22. 23","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Mt 13, 31-35","text":true}},
+            "5172": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 33, 7-11; 34, 5b-9. 28","text":true},"psalms":{"excerpt":"Tv 102, 6-7. 8-9. 10-11. 12-13","text":true},"alleluia":{"verse":"Dt 4, 12","text":true},"gospel":{"excerpt":"Mt 13, 36-43","text":true}},
+            "5173": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 34, 29-35","text":true},"psalms":{"excerpt":"Tv 98, 5. 6. 7. 9","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 13, 44-46","text":true}},
+            "5174": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Xh 40, 14-19. 32-36","text":true},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6a và 8a. 11","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 13, 47-53","text":true}},
+            "5175": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Lv 23, 1. 4-11. 15-16. 27. 34b-37","text":true},"psalms":{"excerpt":"Tv 80, 3-4. 5-6ab. 10-11ab","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 13, 54-58","text":true}},
+            "5176": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Lv 25, 1. 8-17","text":true},"psalms":{"excerpt":"Tv 66, 2-3. 5. 7-8","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 14, 1-12","text":true}},
+            "5181": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Ds 11, 4b-15","text":true},"psalms":{"excerpt":"Tv 80, 12-13. 14-15. 16-17","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mt 14, 13-21","text":true}},
+            "5182": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Ds 12, 1-13","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 6bc-7. 12-13","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 14, 22-36","text":true}},
+            "5183": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Ds 13, 1-3a. 26-14, 1. 26-29. 34-35","text":true},"psalms":{"excerpt":"Tv 105, 6-7a. 13-14. 21-22. 23","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 15, 21-28","text":true}},
+            "5184": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Ds 20, 1-13","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mt 16, 13-23","text":true}},
+            "5185": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Ðnl 4, 32-40","text":true},"psalms":{"excerpt":"Tv 76, 12-13. 14-15. 16 và 21","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 16, 24-28","text":true}},
+            "5186": {"chunk":"year1-ordinary-3","firstReading":{"excerpt":"(Năm I) Ðnl 6, 4-13","text":true},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 47 và 51ab","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mt 17, 14-19","text":true}},
+            "5191": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Ðnl 10, 12-22","text":true},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 17, 21-26","text":true}},
+            "5192": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Ðnl 31, 1-8","text":true},"psalms":{"excerpt":"Ðnl 32, 3-4a. 7. 8. 9 và 12","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 18, 1-5. 10. 12-14","text":true}},
+            "5193": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"Ðnl 34, 1-12","text":true},"psalms":{"excerpt":"Tv 65, 1-3a. 5 và 8. 16-17","text":true},"alleluia":{"verse":"Gc 1, 21","text":true},"gospel":{"excerpt":"Mt 18, 15-20","text":true}},
+            "5194": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Gs 3, 7-10a. 11. 13-17","text":true},"psalms":{"excerpt":"Tv 113A, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Mt 18, 21 – 19, 1","text":true}},
+            "5195": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Gs 24, 1-13","text":true},"psalms":{"excerpt":"Tv 135, 1-3. 16-18. 21-22 và 24","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Mt 19, 3-12","text":true}},
+            "5196": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Gs 24, 14-29","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 11","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Mt 19, 13-15","text":true}},
+            "5201": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Tl 2, 11-19","text":true},"psalms":{"excerpt":"Tv 105, 34-35. 36-37. 39-40. 43ab và 44","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Mt 19, 16-22","text":true}},
+            "5202": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Tl 6, 11-24a","text":true},"psalms":{"excerpt":"Tv 84, 9. 11-12. 13-14","text":true},"alleluia":{"verse":"Tv 118, 36a và 29b","text":true},"gospel":{"excerpt":"Mt 19, 23-30","text":true}},
+            "5203": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Tl 9, 6-15","text":true},"psalms":{"excerpt":"Tv 20, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Tv 118, 135","text":true},"gospel":{"excerpt":"Mt 20, 1-16a","text":true}},
+            "5204": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Tl 11, 29-39a","text":true},"psalms":{"excerpt":"Tv 39, 5. 7-8a. 8b-9. 10","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Mt 22, 1-14","text":true}},
+            "5205": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) R 1, 1. 3-6. 14b-16. 22","text":true},"psalms":{"excerpt":"Tv 145, 5-6. 7. 8-9a. 9bc-10","text":true},"alleluia":{"verse":"Mt 11, 25","text":true},"gospel":{"excerpt":"Mt 22, 34-40","text":true}},
+            "5206": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"R 2, 1-3. 8-11; 4, 13-17","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Mt 23, 1-12","text":true}},
+            "5211": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 1, 1-5. 8b-10","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","text":true},"alleluia":{"verse":"2 Cr 5, 19","text":true},"gospel":{"excerpt":"Mt 23, 13-22","text":true}},
+            "5212": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 2, 1-8","text":true},"psalms":{"excerpt":"Tv 138, 1-3. 4-6","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Mt 23, 23-26","text":true}},
+            "5213": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 2, 9-13","text":true},"psalms":{"excerpt":"Tv 138, 7-8. 9-10. 11-12ab","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Mt 23, 27-32","text":true}},
+            "5214": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 3, 7-13","text":true},"psalms":{"excerpt":"Tv 89, 3-4. 12-13. 14 và 17","text":true},"alleluia":{"verse":"Cl 3, 16a và 17c","text":true},"gospel":{"excerpt":"Mt 24, 42-51","text":true}},
+            "5215": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 4, 1-8","text":true},"psalms":{"excerpt":"Tv 96, 1-2b. 5-6. 10. 11-12","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Mt 25, 1-13","text":true}},
+            "5216": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 4, 9-11","text":true},"psalms":{"excerpt":"Tv 97, 1. 7-8. 9","text":true},"alleluia":{"verse":"2 Tx 2, 14","text":true},"gospel":{"excerpt":"Mt 25, 14-30","text":true}},
+            "5221": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 4, 13-17","text":true},"psalms":{"excerpt":"Tv 95, 1 và 3. 4-5. 11-12. 13","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Lc 4, 16-30","text":true}},
+            "5222": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tx 5, 1-6. 9-11","text":true},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Lc 4, 31-37","text":true}},
+            "5223": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 1, 1-8","text":true},"psalms":{"excerpt":"Tv 51, 10. 11","text":true},"alleluia":{"verse":"2 Tm 1, 10b","text":true},"gospel":{"excerpt":"Lc 4, 38-44","text":true}},
+            "5224": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 1, 9-14","text":true},"psalms":{"excerpt":"Tv 97, 2-3ab. 3cd-4. 5-6","text":true},"alleluia":{"verse":"2 Tx 2, 14","text":true},"gospel":{"excerpt":"Lc 5, 1-11","text":true}},
+            "5225": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 1, 15-20","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","text":true},"alleluia":{"verse":"Cl 3, 16a và 17c","text":true},"gospel":{"excerpt":"Lc 5, 33-39","text":true}},
+            "5226": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 1, 21-23","text":true},"psalms":{"excerpt":"Tv 53, 3-4. 6 và 8","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Lc 6, 1-5","text":true}},
+            "5231": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 1, 24 – 2, 3","text":true},"psalms":{"excerpt":"Tv 61, 6-7. 9","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 6, 6-11","text":true}},
+            "5232": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 2, 6-15","text":true},"psalms":{"excerpt":"Tv 144, 1-2. 8-9. 10-11","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 6, 12-19","text":true}},
+            "5233": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 3, 1-11","text":true},"psalms":{"excerpt":"Tv 144, 2-3. 10-11. 12-13ab","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Lc 6, 20-26","text":true}},
+            "5234": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) Cl 3, 12-17","text":true},"psalms":{"excerpt":"Tv 150, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"2 Cr 5, 19","text":true},"gospel":{"excerpt":"Lc 6, 27-38","text":true}},
+            "5235": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 1, 1-2. 12-14","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 11","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 6, 39-42","text":true}},
+            "5236": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 1, 15-17","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5a và 6-7","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Lc 6, 43-49","text":true}},
+            "5241": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 2, 1-8","text":true},"psalms":{"excerpt":"Tv 27, 2. 7. 8-9","text":true},"alleluia":{"verse":"Gc 1, 18","text":true},"gospel":{"excerpt":"Lc 7, 1-10","text":true}},
+            "5242": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 3, 1-13","text":true},"psalms":{"excerpt":"Tv 100, 1-2ab. 2cd-3ab. 5. 6","text":true},"alleluia":{"verse":"Mt 11, 25","text":true},"gospel":{"excerpt":"Lc 7, 11-17","text":true}},
+            "5243": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 3, 14-16","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Lc 7, 31-35","text":true}},
+            "5244": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 4, 12-16","text":true},"psalms":{"excerpt":"Tv 110, 7-8. 9. 10","text":true},"alleluia":{"verse":"Tv 118, 135","text":true},"gospel":{"excerpt":"Lc 7, 36-50","text":true}},
+            "5245": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 6, 2c-12","text":true},"psalms":{"excerpt":"Tv 48, 6-7. 8-10. 17-18. 19-20","text":true},"alleluia":{"verse":"Tv 118, 36a và 29b","text":true},"gospel":{"excerpt":"Lc 8, 1-3","text":true}},
+            "5246": {"chunk":"year1-ordinary-4","firstReading":{"excerpt":"(Năm I) 1 Tm 6, 13-16","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 8, 4-15","text":true}},
+            "5251": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Esd 1, 1-6","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"alleluia":{"verse":"Gc 1, 21","text":true},"gospel":{"excerpt":"Lc 8, 16-18","text":true}},
+            "5252": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Esd 6, 7-8. 12b. 14-20","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Lc 8, 19-21","text":true}},
+            "5253": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Esd 9, 5-9","text":true},"psalms":{"excerpt":"Tb 13, 2. 3-4. 6. 7. 8.","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Lc 9, 1-6","text":true}},
+            "5254": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Kg 1, 1-8","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Lc 9, 7-9","text":true}},
+            "5255": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Kg 2, 1b-10","text":true},"psalms":{"excerpt":"Tv 42, 1. 2. 3. 4","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Lc 9, 18-22","text":true}},
+            "5256": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Dcr 2, 1-5. 10-11a","text":true},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","text":true},"alleluia":{"verse":"Tv 114, 13cd","text":true},"gospel":{"excerpt":"Lc 9, 43b-45","text":true}},
+            "5261": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Dcr 8, 1-8","text":true},"psalms":{"excerpt":"Tv 101, 16-18. 19-21. 29 và 22-23","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Lc 9, 46-50","text":true}},
+            "5262": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Dcr 8, 20-23","text":true},"psalms":{"excerpt":"Tv 86, 1-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Tv 18, 9","text":true},"gospel":{"excerpt":"Lc 9, 51-56","text":true}},
+            "5263": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Nkm 2, 1-8","text":true},"psalms":{"excerpt":"Tv 136, 1-2. 3. 4-5. 6","text":true},"alleluia":{"verse":"Tv 118, 8ab","text":true},"gospel":{"excerpt":"Lc 9, 57-62","text":true}},
+            "5264": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Nkm 8, 1-4a. 5-6. 7b-12","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","text":true},"alleluia":{"verse":"1 Pr 1, 25","text":true},"gospel":{"excerpt":"Lc 10, 1-12","text":true}},
+            "5265": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Br 1, 15-22","text":true},"psalms":{"excerpt":"Tv 78, 1-2. 3-5. 8. 9","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Lc 10, 13-16","text":true}},
+            "5266": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Br 4, 5-12. 27-29","text":true},"psalms":{"excerpt":"Tv 68, 33-35. 36-37","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 10, 17-24","text":true}},
+            "5271": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Gn 1, 1 – 2, 1. 11","text":true},"psalms":{"excerpt":"Gn 2, 2. 3. 4. 5. 8","text":true},"alleluia":{"verse":"1 Sm 3, 9; Ga 6, 69","text":true},"gospel":{"excerpt":"Lc 10, 25-37","text":true}},
+            "5272": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Gn 3, 1-10","text":true},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 7-8","text":true},"alleluia":{"verse":"Tv 144, 14cd","text":true},"gospel":{"excerpt":"Lc 10, 38-42","text":true}},
+            "5273": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Gn 4, 1-11","text":true},"psalms":{"excerpt":"Tv 85, 3-4. 5-6. 9-10","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 11, 1-4","text":true}},
+            "5274": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Ml 3, 13 – 4, 2a","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":"Lc 4, 18-19","text":true},"gospel":{"excerpt":"Lc 11, 5-13","text":true}},
+            "5275": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Ge 1, 13-15; 2, 1-2","text":true},"psalms":{"excerpt":"Tv 9, 2-3. 6 và 16. 8-9","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 11, 15-26","text":true}},
+            "5276": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Ge 3, 12-21","text":true},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 11-12","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Lc 11, 27-28","text":true}},
+            "5281": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 1, 1-7","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Lc 11, 29-32","text":true}},
+            "5282": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 1, 16-25","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Lc 11, 37-41","text":true}},
+            "5283": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 2, 1-11","text":true},"psalms":{"excerpt":"Tv 61, 2-3. 6-7. 9","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 11, 42-46","text":true}},
+            "5284": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 3, 21-30a","text":true},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 4c-5","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Lc 11, 47-54","text":true}},
+            "5285": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 4, 1-8","text":true},"psalms":{"excerpt":"Tv 31, 1-2. 5. 11","text":true},"alleluia":{"verse":"Dt 4, 12","text":true},"gospel":{"excerpt":"Lc 12, 1-7","text":true}},
+            "5286": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 4, 13. 16-18","text":true},"psalms":{"excerpt":"Tv 104, 6-7. 8-9. 42-43","text":true},"alleluia":{"verse":"Gc 1, 18","text":true},"gospel":{"excerpt":"Lc 12, 8-12","text":true}},
+            "5291": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 4, 20-25","text":true},"psalms":{"excerpt":"Lc 1, 69-70. 71-72. 73-75","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Lc 12, 13-21","text":true}},
+            "5292": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 5, 12. 15b. 17-19. 20b-21","text":true},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 17","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Lc 12, 35-38","text":true}},
+            "5293": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 6, 12-18","text":true},"psalms":{"excerpt":"Tv 123, 1-3. 4-6. 7-8","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Lc 12, 39-48","text":true}},
+            "5294": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 6, 19-23","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 12, 49-53","text":true}},
+            "5295": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 7, 18-25a","text":true},"psalms":{"excerpt":"Tv 118, 66. 68. 76. 77. 93. 94","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Lc 12, 54-59","text":true}},
+            "5296": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 8, 1-11","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Lc 13, 1-9","text":true}},
+            "5301": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 8, 12-17","text":true},"psalms":{"excerpt":"Tv 67, 2 và 4. 6-7ab. 20-21","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Lc 13, 10-17","text":true}},
+            "5302": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 8, 18-25","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 13, 18-21","text":true}},
+            "5303": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 8, 26-30","text":true},"psalms":{"excerpt":"Tv 12, 4-5. 6","text":true},"alleluia":{"verse":"Tv 118, 135","text":true},"gospel":{"excerpt":"Lc 13, 22-30","text":true}},
+            "5304": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 8, 31b-39","text":true},"psalms":{"excerpt":"Tv 108, 21-22. 26-27. 30-31","text":true},"alleluia":{"verse":"x. Ep 1, 17-18","text":true},"gospel":{"excerpt":"Lc 13, 31-35","text":true}},
+            "5305": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 9, 1-5","text":true},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20","text":true},"alleluia":{"verse":"Tv 118, 36a và 29b","text":true},"gospel":{"excerpt":"Lc 14, 1-6","text":true}},
+            "5306": {"chunk":"year1-ordinary-5","firstReading":{"excerpt":"(Năm I) Rm 11, 1-2a. 11-12. 25-29","text":true},"psalms":{"excerpt":"Tv 93, 12-13a. 14-15. 17-18","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Lc 14, 1. 7-11","text":true}},
+            "5311": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Rm 11, 29-36","text":true},"psalms":{"excerpt":"Tv 68, 30-31. 33-34. 36-37","text":true},"alleluia":{"verse":"Mt 11, 29ab","text":true},"gospel":{"excerpt":"Lc 14, 12-14","text":true}},
+            "5312": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Rm 12, 5-16","text":true},"psalms":{"excerpt":"Tv 130, 1. 2. 3","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Lc 14, 15-24","text":true}},
+            "5313": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Rm 13, 8-10","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 4-5. 9","text":true},"alleluia":{"verse":"Cv 16, 14b","text":true},"gospel":{"excerpt":"Lc 14, 25-33","text":true}},
+            "5314": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"( Năm I) Rm 14, 7-12","text":true},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","text":true},"alleluia":{"verse":"2 Cr 5, 19","text":true},"gospel":{"excerpt":"Lc 15, 1-10","text":true}},
+            "5315": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Rm 15, 14-21","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 16, 1-8","text":true}},
+            "5316": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Rm 16, 3-9. 16. 22-27","text":true},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 10-11","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Lc 16, 9-15","text":true}},
+            "5321": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Kn 1, 1-7","text":true},"psalms":{"excerpt":"138, 1-3. 4-6. 7-8. 9-10","text":true},"alleluia":{"verse":"Mt 11, 25","text":true},"gospel":{"excerpt":"Lc 17, 1-6","text":true}},
+            "5322": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Kn 2, 23 – 3, 9","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 16-17. 18-19","text":true},"alleluia":{"verse":"Cl 3, 16a và 17c","text":true},"gospel":{"excerpt":"Lc 17, 7-10","text":true}},
+            "5323": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Kn 6, 2-12","text":true},"psalms":{"excerpt":"Tv 81, 3-4. 6-7","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Lc 17, 11-19","text":true}},
+            "5324": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Kn 7, 22 – 8, 1","text":true},"psalms":{"excerpt":"Tv 118, 89. 90. 91. 130. 135. 175","text":true},"alleluia":{"verse":"2 Tx 2, 14","text":true},"gospel":{"excerpt":"Lc 17, 20-25","text":true}},
+            "5325": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Kn 13, 1-9","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Lc 17, 26-37","text":true}},
+            "5326": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Kn 18, 14-16; 19, 6-9","text":true},"psalms":{"excerpt":"Tv 104, 2-3. 36-37. 42-43","text":true},"alleluia":{"verse":"2 Tm 1, 10b","text":true},"gospel":{"excerpt":"Lc 18, 1-8","text":true}},
+            "5331": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) 1 Mcb 1, 11-16. 43-45. 57-60. 65-67","text":true},"psalms":{"excerpt":"Tv 118, 53. 61. 134. 150. 155. 158","text":true},"alleluia":{"verse":"Lc 16, 31","text":true},"gospel":{"excerpt":"Lc 18, 35-43","text":true}},
+            "5332": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) 2 Mcb 6, 18-31","text":true},"psalms":{"excerpt":"Tv 3, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Lc 21, 28","text":true},"gospel":{"excerpt":"Lc 19, 1-10","text":true}},
+            "5333": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) 2 Mcb 7, 1. 20-31","text":true},"psalms":{"excerpt":"Tv 16, 1. 5-6. 8b và 15","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Lc 19, 11-28","text":true}},
+            "5334": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) 1 Mcb 2, 15-29","text":true},"psalms":{"excerpt":"Tv 49, 1-2. 5-6. 14-15","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Lc 19, 41-44","text":true}},
+            "5335": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) 1 Mcb 4, 36-37, 52-59","text":true},"psalms":{"excerpt":"1 Sb 29, 10. 11abc. 11d-12a. 12bcd","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 19, 45-48","text":true}},
+            "5336": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) 1 Mcb 6, 1-13","text":true},"psalms":{"excerpt":"Tv 9, 2-3. 4 và 6. 16b và 19","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 20, 27-40","text":true}},
+            "5341": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Ðn 1, 1-6. 8-20","text":true},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 21, 1-4","text":true}},
+            "5342": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Ðn 2, 31-45","text":true},"psalms":{"excerpt":"Ðn 3, 57. 58. 59. 60. 61","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 21, 5-11","text":true}},
+            "5343": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Ðn 5, 1-6, 13-14, 16-17, 23-28","text":true},"psalms":{"excerpt":"Ðn 3, 62. 63. 64. 65. 66. 67","text":true},"alleluia":{"verse":"Mt 24, 41a và 44","text":true},"gospel":{"excerpt":"Lc 21, 12-19","text":true}},
+            "5344": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Ðn 6, 11-27","text":true},"psalms":{"excerpt":"Ðn 3, 68. 69. 70. 71. 72. 73. 74","text":true},"alleluia":{"verse":"Lc 21, 28","text":true},"gospel":{"excerpt":"Lc 21, 20-28","text":true}},
+            "5345": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Ðn 7, 2-14","text":true},"psalms":{"excerpt":"Ðn 3, 75. 76. 77. 78. 79. 80. 81","text":true},"alleluia":{"verse":"Kh 2, 10c","text":true},"gospel":{"excerpt":"Lc 21, 29-33","text":true}},
+            "5346": {"chunk":"year1-ordinary-6","firstReading":{"excerpt":"(Năm I) Ðn 7, 15-27","text":true},"psalms":{"excerpt":"Ðn 3, 82. 83. 84. 85. 86. 87","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 21, 34-36","text":true}},
+            "5446": {"chunk":"year1-feasts","firstReading":{"excerpt":"I Is 61, 9-11","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"x. Lc 2, 19","text":true},"gospel":{"excerpt":"Lc 2, 41-51","text":true}}
+        },
+        "ORDINARY_Y2": {
+            "5011": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 1, 1-8","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 14 và 17. 18-19","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mc 1, 14-20","text":true}},
+            "5012": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 1, 9-20","text":true},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8abcd","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mc 1, 21-28","text":true}},
+            "5013": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Sm 3, 1-10. 19-20","text":true},"psalms":{"excerpt":"Tv 39, 2 và 5. 7-8a. 8b-9. 10","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mc 1, 29-39","text":true}},
+            "5014": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 4, 1-11","text":true},"psalms":{"excerpt":"Tv 43, 10-11. 14-15. 24-25","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mc 1, 40-45","text":true}},
+            "5015": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 8,4-7.10-22a","text":true},"psalms":{"excerpt":"Tv 88, 16-17. 18-19","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mc 2, 1-12","text":true}},
+            "5016": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Sm 9, 1-4. 17-19; 10, 1a","text":true},"psalms":{"excerpt":"Tv 20, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 2, 13-17","text":true}},
+            "5021": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 15, 16-23","text":true},"psalms":{"excerpt":"Tv 49, 8-9. 16bc-17. 21 và 23.","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mc 2, 18-22","text":true}},
+            "5022": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 16, 1-13","text":true},"psalms":{"excerpt":"Tv 88, 20. 21-22. 27-28","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mc 2, 23-28","text":true}},
+            "5023": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 17, 32-33. 37. 40-51","text":true},"psalms":{"excerpt":"Tv 143, 1. 2. 9-10","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mc 3, 1-6","text":true}},
+            "5024": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(năm II) 1 Sm 18, 6-9; 19, 1-7","text":true},"psalms":{"excerpt":"Tv 55, 2-3. 9-10ab. 10c-11. 12-13","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mc 3, 7-12","text":true}},
+            "5025": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 Sm 24, 3-21","text":true},"psalms":{"excerpt":"Tv 56, 2. 3-4. 6 và 11","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 3, 13-19","text":true}},
+            "5026": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 1, 1-4, 11-12. 19. 23-27","text":true},"psalms":{"excerpt":"Tv 79, 2-3. 5-7","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 3, 20-21","text":true}},
+            "5031": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 5, 1-7. 10","text":true},"psalms":{"excerpt":"Tv 88, 20. 21-22. 25-26","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mc 3, 22-30","text":true}},
+            "5032": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 6, 12b-15, 17-19","text":true},"psalms":{"excerpt":"Tv 23, 7. 8. 9. 10","text":true},"alleluia":{"verse":"Ga 15,15b","text":true},"gospel":{"excerpt":"Mc 3, 31-35","text":true}},
+            "5033": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 7, 4-17","text":true},"psalms":{"excerpt":"Tv 88, 4-5. 27-28. 29-30","text":true},"alleluia":{"verse":"1Sam 3,9","text":true},"gospel":{"excerpt":"Mc 4,1-20","text":true}},
+            "5034": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 7, 18-19. 24-29","text":true},"psalms":{"excerpt":"Tv 131, 1-2. 3-5. 11. 12. 13-14","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mc 4, 21-25","text":true}},
+            "5035": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 11, 1-4a. 5-10b. 13-17","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 6bc-7. 10-11","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mc 4, 26-34","text":true}},
+            "5036": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 12, 1-7a, 10-17","text":true},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 16-17.","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mc 4, 35-41","text":true}},
+            "5041": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 15, 13-14. 30; 16, 5-13a","text":true},"psalms":{"excerpt":"Tv 3, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 5, 1-20","text":true}},
+            "5042": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 18, 9-10. 14b. 24-25a. 30 – 19, 3","text":true},"psalms":{"excerpt":"Tv 85, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mc 5, 21-43","text":true}},
+            "5043": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 2 Sm 24, 2. 9-17","text":true},"psalms":{"excerpt":"Tv 31, 1-2. 5. 6. 7","text":true},"alleluia":{"verse":"Ga 8,12","text":true},"gospel":{"excerpt":"Mc 6,1-6","text":true}},
+            "5044": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"1 V 2, 1-4. 10-12","text":true},"psalms":{"excerpt":"1 Sb 29, 10. 11ab. 11d-12a. 12bcd","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Mc 6, 7-13","text":true}},
+            "5045": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II): Hc 47, 2-13","text":true},"psalms":{"excerpt":"Tv 17, 31. 47 và 50. 51.","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mc 6, 14-29","text":true}},
+            "5046": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 3, 4-13","text":true},"psalms":{"excerpt":"Tv 118, 9. 10. 11. 12. 13. 14.","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 6, 30-34","text":true}},
+            "5051": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 8, 1-7. 9-13","text":true},"psalms":{"excerpt":"Tv 131, 6-7. 8-10","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 6, 53-56","text":true}},
+            "5052": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 8, 22-23. 27-30","text":true},"psalms":{"excerpt":"Tv 83, 3. 4. 5 và 10. 11","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mc 7, 1-13","text":true}},
+            "5053": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 10, 1-10","text":true},"psalms":{"excerpt":"Tv 36, 5-6. 30-31. 39-40","text":true},"alleluia":{"verse":"Ga. 15, 15b","text":true},"gospel":{"excerpt":"Mc 7,14-23","text":true}},
+            "5054": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 11, 4-13","text":true},"psalms":{"excerpt":"Tv 105, 3-4. 35-36. 37 và 40","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 7, 24-30","text":true}},
+            "5055": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 11, 29-32; 12, 19","text":true},"psalms":{"excerpt":"Tv 80, 10-11ab. 12-13. 14-15","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 7, 31-37","text":true}},
+            "5056": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) 1 V 12, 26-32; 13, 33-34","text":true},"psalms":{"excerpt":"Tv 105, 6-7a. 19-20. 21-22.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 1-10","text":true}},
+            "5061": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Gc 1, 1-11","text":true},"psalms":{"excerpt":"Tv 118, 67. 68. 71. 72. 75. 76.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 11-13","text":true}},
+            "5062": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Gc 1, 12-18","text":true},"psalms":{"excerpt":"Tv 93, 12-13a. 14-15. 18-19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 14-21","text":true}},
+            "5063": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Gc 1, 19-27","text":true},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 22-26","text":true}},
+            "5064": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Gc 2, 1-9","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 27-33","text":true}},
+            "5065": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Gc 2, 14-24. 26","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 8, 34-39","text":true}},
+            "5066": {"chunk":"year2-ordinary-1","firstReading":{"excerpt":"(Năm II) Gc 3, 1-10","text":true},"psalms":{"excerpt":"Tv 11, 2-3. 4-5. 7-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 1-12","text":true}},
+            "5071": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gc 3, 13-18","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 15","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 13-28 (Gr 14-29)","text":true}},
+            "5072": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gc 4, 1-10","text":true},"psalms":{"excerpt":"Tv 54, 7-8. 9-10a. 10b-11a. 23","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 29-36 (Hl 30-37)","text":true}},
+            "5073": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gc 4, 13b-18 (Gr 13-17)","text":true},"psalms":{"excerpt":"Tv 48, 2-3. 6-7. 8-10.11","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 9, 37-39 (Gr 38-40)","text":true}},
+            "5074": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gc 5, 1-6","text":true},"psalms":{"excerpt":"Tv 48, 14-15ab. 15cd-16. 17-18. 19-20","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 9, 40-49 (Gr 41-50)","text":true}},
+            "5075": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gc 5, 9-12","text":true},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8-9. 11-12.","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 1-12","text":true}},
+            "5076": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gc 5, 13-20","text":true},"psalms":{"excerpt":"Tv 140, 1-2. 3 và 8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 13-16","text":true}},
+            "5081": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 Pr 1, 3-9","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 5-6. 9 và 10c","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 17-27","text":true}},
+            "5082": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 Pr 1, 10-16","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3c-4","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 10, 28-31","text":true}},
+            "5083": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 Pr 1, 18-25","text":true},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20.","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 10, 32-45","text":true}},
+            "5084": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 Pr 2, 2-5. 9-12","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mc 10, 46-52","text":true}},
+            "5085": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 Pr 4, 7-13","text":true},"psalms":{"excerpt":"Tv 95, 10. 11-12. 13","text":true},"alleluia":{"verse":"Dt 4, 12","text":true},"gospel":{"excerpt":"Mc 11, 11-26","text":true}},
+            "5086": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Gđ 17, 20b-25","text":true},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6","text":true},"alleluia":{"verse":"Gc 1, 18","text":true},"gospel":{"excerpt":"Mc 11, 27-33","text":true}},
+            "5091": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Pr 1, 1-7","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 14-15ab. 15c-16","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 1-12","text":true}},
+            "5092": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Pr 3, 12-15a. 17-18","text":true},"psalms":{"excerpt":"Tv 89, 2. 3-4. 10. 14 và 16","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 13-17","text":true}},
+            "5093": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Tm 1, 1-3. 6-12","text":true},"psalms":{"excerpt":"Tv 122, 1-2a. 2bcd","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mc 12, 18-27","text":true}},
+            "5094": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Tm 2, 8-15","text":true},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 8-9. 10 và 14.","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mc 12, 28b-34","text":true}},
+            "5095": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Tm 3, 10-17","text":true},"psalms":{"excerpt":"Tv 118, 157. 160. 161. 165. 166. 168","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mc 12, 35-37","text":true}},
+            "5096": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Tm 4, 1-8","text":true},"psalms":{"excerpt":"Tv 70, 8-9. 14-15ab. 16-17. 22","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 12, 38 – 44","text":true}},
+            "5101": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 17, 1-6","text":true},"psalms":{"excerpt":"Tv 120, 1-2. 3-4. 5-6. 7-8","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 5, 1-12","text":true}},
+            "5102": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 17, 7-16","text":true},"psalms":{"excerpt":"Tv 4, 2-3. 4-5. 7-8","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 5, 13-16","text":true}},
+            "5103": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 1 V 18, 20-39","text":true},"psalms":{"excerpt":"Tv 15, 1-2a. 4. 5 và 8. 11","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 5, 17-19","text":true}},
+            "5104": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 18, 41-46","text":true},"psalms":{"excerpt":"Tv 64, 10abcd. 10e-11. 12-13","text":true},"alleluia":{"verse":"Ga 14, 29","text":true},"gospel":{"excerpt":"Mt 5, 20-26","text":true}},
+            "5105": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 19, 9a. 11-16","text":true},"psalms":{"excerpt":"Tv 26, 7-8a. 8b-9abc. 13-14","text":true},"alleluia":{"verse":"Ga 1, 14 và 22b","text":true},"gospel":{"excerpt":"Mt 5, 27-32","text":true}},
+            "5106": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 19, 19-21","text":true},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Mt 5, 33-37","text":true}},
+            "5111": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 21, 1-16","text":true},"psalms":{"excerpt":"Tv 5, 2-3. 5-6. 7","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 5, 38-42","text":true}},
+            "5112": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 1 V 21, 17-29","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 11 và 16","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a:","text":true},"gospel":{"excerpt":"Mt 5, 43-48","text":true}},
+            "5113": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 2, 1. 6-14","text":true},"psalms":{"excerpt":"Tv 30, 20. 21. 24","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 6, 1-6. 16-18","text":true}},
+            "5114": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Hc 48, 1-15 (Gr 1-14)","text":true},"psalms":{"excerpt":"Tv 96, 1-2. 3-4. 5-6. 7","text":true},"alleluia":{"verse":"Tv 144, 13bc","text":true},"gospel":{"excerpt":"Mt 6, 7-15","text":true}},
+            "5115": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 11, 1-4. 9-18. 20","text":true},"psalms":{"excerpt":"Tv 131, 11, 12.13-14. 17-18","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 6, 19-23","text":true}},
+            "5116": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 Sb 24, 17-25","text":true},"psalms":{"excerpt":"Tv 88, 4-5. 29-30. 31-32. 33-34","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mt 6, 24-34","text":true}},
+            "5121": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 17, 5-8. 13-15a. 18","text":true},"psalms":{"excerpt":"Tv 59, 3. 4-5. 12-13","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 7, 1-5","text":true}},
+            "5122": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 19, 9b-11. 14-21. 31-35a. 36","text":true},"psalms":{"excerpt":"Tv 47, 2-3a. 3b-4. 10-11","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 7, 6. 12-14","text":true}},
+            "5123": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 22, 8-13; 23, 1-3","text":true},"psalms":{"excerpt":"Tv 118, 33. 34. 35. 36. 37. 40","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 7, 15-20","text":true}},
+            "5124": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 24, 8-17","text":true},"psalms":{"excerpt":"Tv 78, 1-2. 3-5. 8. 9","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Mt 7, 21-29","text":true}},
+            "5125": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) 2 V 25, 1-12","text":true},"psalms":{"excerpt":"Tv 136, 1-2. 3. 4-5. 6","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 8, 1-4","text":true}},
+            "5126": {"chunk":"year2-ordinary-2","firstReading":{"excerpt":"(Năm II) Ac 2, 2. 10-14. 18-19","text":true},"psalms":{"excerpt":"Tv 73, 1-2. 3-5a. 5b-7. 20-21","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 8, 5-17","text":true}},
+            "5131": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Am 2, 6-10. 13-16","text":true},"psalms":{"excerpt":"Tv 49, 16bc-17. 18-19. 20-21. 22-23","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 8, 18-22","text":true}},
+            "5132": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Am 3, 1-8; 4, 11-12","text":true},"psalms":{"excerpt":"Tv 5, 5-6. 7. 8","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 8, 23-27","text":true}},
+            "5133": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Am 5, 14-15. 21-24","text":true},"psalms":{"excerpt":"Tv 49, 7. 8-9. 10-11. 12-13. 16bc-17","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 8,28-34","text":true}},
+            "5134": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Am 7, 10-17","text":true},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Mt 9, 1-8","text":true}},
+            "5135": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Am 8, 4-6. 9-12","text":true},"psalms":{"excerpt":"Tv 118, 2. 10. 20. 30. 40. 131","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 9, 9-13","text":true}},
+            "5136": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Am 9, 11-15","text":true},"psalms":{"excerpt":"Tv 84, 9. 11-12. 13-14","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 9, 14-17","text":true}},
+            "5141": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Hs 2, 14. 15-16. 19-20","text":true},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Tv 144, 14cd","text":true},"gospel":{"excerpt":"Mt 9, 18-26","text":true}},
+            "5142": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Hs 8, 4-7. 11-13","text":true},"psalms":{"excerpt":"Tv 113B, 3-4. 5-6. 7-8. 9-10","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mt 9, 32-38","text":true}},
+            "5143": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Hs 10, 1-3. 7-8. 12","text":true},"psalms":{"excerpt":"Tv 104, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 10, 1-7","text":true}},
+            "5144": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Hs 11, 1b, 3-4, 8c-9","text":true},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 10, 7-15","text":true}},
+            "5145": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Hs 14, 2-10","text":true},"psalms":{"excerpt":"Tv 50, 3-4. 8-9. 12-13. 14 và 17","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mt 10, 16-23","text":true}},
+            "5146": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Is 6, 1-8","text":true},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 10, 24-33","text":true}},
+            "5151": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Is 1, 10-17","text":true},"psalms":{"excerpt":"Tv 49, 8-9. 16bc-17. 21 và 23","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 10, 34 – 11, 1","text":true}},
+            "5152": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Is 7, 1-9","text":true},"psalms":{"excerpt":"Tv 47, 2-3a. 3b-4. 5-6. 7-8","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 11, 20-24","text":true}},
+            "5153": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Is 10, 5-7. 13-16","text":true},"psalms":{"excerpt":"Tv 93, 5-6. 7-8. 9-10. 14-15","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 11, 25-27","text":true}},
+            "5154": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Is 26, 7-9. 12. 16-19","text":true},"psalms":{"excerpt":"Tv 101, 13-14ab và 15. 16-18. 19-21","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Mt 11, 28-30","text":true}},
+            "5155": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Is 38, 1-6. 21-22. 7-8","text":true},"psalms":{"excerpt":"Is 38, 10. 11. 12. 16","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mt 12, 1-8","text":true}},
+            "5156": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Mk 2, 1-5","text":true},"psalms":{"excerpt":"Tv 10, 1-2. 3-4. 7-8. 14","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mt 12, 14 – 21","text":true}},
+            "5161": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Mk 6, 1-4. 6-8","text":true},"psalms":{"excerpt":"Tv 49, 5-6. 8-9. 16bc-17. 21 và 23","text":true},"alleluia":{"verse":"Ga 10, 27","text":true},"gospel":{"excerpt":"Mt 12, 38-42","text":true}},
+            "5162": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Mk 7, 14-15. 18-20","text":true},"psalms":{"excerpt":"Tv 84, 2-4. 5-6. 7-8","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Mt 12, 46-50","text":true}},
+            "5163": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 2, 1-3. 7-8. 12-13","text":true},"psalms":{"excerpt":"Tv 35, 6-7ab. 8-9. 10-11","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Mt 13, 10-17","text":true}},
+            "5164": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 1, 1. 4-10","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 13, 1-9","text":true}},
+            "5165": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 3, 14-17","text":true},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","text":true},"alleluia":{"verse":"Gc 1, 13","text":true},"gospel":{"excerpt":"Mt 13, 18-23","text":true}},
+            "5166": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 7, 1-11","text":true},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6a và 8a. 11","text":true},"alleluia":{"verse":"Gc 1, 21","text":true},"gospel":{"excerpt":"Mt 13, 24-30","text":true}},
+            "5171": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 13, 1-11","text":true},"psalms":{"excerpt":"Ðnl 32, 18-19. 20. 21","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Mt 13, 31-35","text":true}},
+            "5172": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 14, 17-22","text":true},"psalms":{"excerpt":"Tv 78, 8. 9. 11 và 13","text":true},"alleluia":{"verse":"Dt 4, 12","text":true},"gospel":{"excerpt":"Mt 13, 36-43","text":true}},
+            "5173": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 15, 10. 16-21","text":true},"psalms":{"excerpt":"Tv 58, 2-3. 4-5a. 10-11. 17. 18","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 13, 44-46","text":true}},
+            "5174": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 18, 1-6","text":true},"psalms":{"excerpt":"Tv 145, 2abc. 2d-4. 5-6","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 13, 47-53","text":true}},
+            "5175": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 26, 1-9","text":true},"psalms":{"excerpt":"Tv 68, 5. 8-10. 14","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 13, 54-58","text":true}},
+            "5176": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 26, 11-16. 24","text":true},"psalms":{"excerpt":"Tv 68, 15-16. 30-31. 33-34","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 14, 1-12","text":true}},
+            "5181": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 28, 1-17","text":true},"psalms":{"excerpt":"Tv 118, 29. 43. 79. 80. 95. 102","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Mt 14, 13-21","text":true}},
+            "5182": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 30, 1-2. 12-15. 18-22","text":true},"psalms":{"excerpt":"Tv 101, 16-18. 19-21. 29 và 22-23","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Mt 14, 22-36","text":true}},
+            "5183": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 31, 1-7","text":true},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 15, 21-28","text":true}},
+            "5184": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Gr 31, 31-34","text":true},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 18-19","text":true},"alleluia":{"verse":"Tv 144, 13cd","text":true},"gospel":{"excerpt":"Mt 16, 13-23","text":true}},
+            "5185": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Nk 1, 15; 2, 2; 3, 1-3. 6-7","text":true},"psalms":{"excerpt":"Ðnl 32, 35cd-36ab. 39. 41","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Mt 16, 24-28","text":true}},
+            "5186": {"chunk":"year2-ordinary-3","firstReading":{"excerpt":"(Năm II) Kb 1, 12 – 2, 4","text":true},"psalms":{"excerpt":"Tv 9, 8-9. 10-11. 12-13","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Mt 17, 14-19","text":true}},
+            "5191": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 1, 2-5. 24 – 2, 1a (Hebr 1, 2-5. 24-28c)","text":true},"psalms":{"excerpt":"Tv 148, 1-2. 11-12ab. 12c-14a. 14bcd","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Mt 17, 21-26","text":true}},
+            "5192": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 2, 8 – 3, 4","text":true},"psalms":{"excerpt":"Tv 118, 14. 24. 72. 103. 111. 131","text":true},"alleluia":{"verse":"1 Sm 3, 9","text":true},"gospel":{"excerpt":"Mt 18, 1-5. 10. 12-14","text":true}},
+            "5193": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 9, 1-7; 10, 18-22","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Gc 1, 21","text":true},"gospel":{"excerpt":"Mt 18, 15-20","text":true}},
+            "5194": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 12, 1-12","text":true},"psalms":{"excerpt":"Tv 77, 56-57. 58-59. 61-62","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Mt 18, 21 – 19, 1","text":true}},
+            "5195": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 16, 1-15. 60. 63","text":true},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Mt 19, 3-12","text":true}},
+            "5196": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 18, 1-10. 13b. 30. 32","text":true},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 18-19","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Mt 19, 13-15","text":true}},
+            "5201": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 24, 15-24","text":true},"psalms":{"excerpt":"Ðnl 32, 18-19. 20. 21","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Mt 19, 16-22","text":true}},
+            "5202": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 28, 1-10","text":true},"psalms":{"excerpt":"Ðnl 32, 26-27ab. 27cd-28a. 30. 35cd-36ab","text":true},"alleluia":{"verse":"Tv 118, 36a và 29b","text":true},"gospel":{"excerpt":"Mt 19, 23-30","text":true}},
+            "5203": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 34, 1-11","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"alleluia":{"verse":"Tv 118, 135","text":true},"gospel":{"excerpt":"Mt 20, 1-16a","text":true}},
+            "5204": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 36, 23-28","text":true},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 18-19","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Mt 22, 1-14","text":true}},
+            "5205": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 37, 1-14","text":true},"psalms":{"excerpt":"Tv 106, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Mt 11, 25","text":true},"gospel":{"excerpt":"Mt 22, 34-40","text":true}},
+            "5206": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Ed 43, 1-7a","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Mt 23, 1-12","text":true}},
+            "5211": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) Tx 1, 1-5. 11b-12","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 4-5","text":true},"alleluia":{"verse":"2 Cr 5, 19","text":true},"gospel":{"excerpt":"Mt 23, 13-22","text":true}},
+            "5212": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 2 Tx 2, 1-3a. 13-16","text":true},"psalms":{"excerpt":"Tv 95, 10. 11-12a. 12b-13","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Mt 23, 23-26","text":true}},
+            "5213": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 2 Tx 3, 6-10. 16-18","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 4-5","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Mt 23, 27-32","text":true}},
+            "5214": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 1, 1-9","text":true},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Cl 3, 16a và 17c","text":true},"gospel":{"excerpt":"Mt 24, 42-51","text":true}},
+            "5215": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 1, 17-25","text":true},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 10ab và 11","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Mt 25, 1-13","text":true}},
+            "5216": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 1, 26-31","text":true},"psalms":{"excerpt":"Tv 32, 12-13. 18-19. 20-21","text":true},"alleluia":{"verse":"2 Tx 2, 14","text":true},"gospel":{"excerpt":"Mt 25, 14-30","text":true}},
+            "5221": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 2, 1-5","text":true},"psalms":{"excerpt":"Tv 118, 97. 99. 100. 101. 102","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Lc 4, 16-30","text":true}},
+            "5222": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 2, 10b-16","text":true},"psalms":{"excerpt":"Tv 144, 8-9. 10-11. 12-13ab. 13cd-14","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Lc 4, 31-37","text":true}},
+            "5223": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 3, 1-9","text":true},"psalms":{"excerpt":"Tv 32, 12-13. 14-15. 20-21","text":true},"alleluia":{"verse":"2 Tm 1, 10b","text":true},"gospel":{"excerpt":"Lc 4, 38-44","text":true}},
+            "5224": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 3, 18-23","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"alleluia":{"verse":"2 Tx 2, 14","text":true},"gospel":{"excerpt":"Lc 5, 1-11","text":true}},
+            "5225": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 4, 1-5","text":true},"psalms":{"excerpt":"Tv 36, 3-4. 5-6. 27-28. 39-40","text":true},"alleluia":{"verse":"Cl 3, 16a và 17c","text":true},"gospel":{"excerpt":"Lc 5, 33-39","text":true}},
+            "5226": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 4, 6-15 (hoặc 9-15)","text":true},"psalms":{"excerpt":"Tv 144, 17-18. 19-20. 21","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Lc 6, 1-5","text":true}},
+            "5231": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 5, 1-8","text":true},"psalms":{"excerpt":"Tv 5, 5-6. 7. 12","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 6, 6-11","text":true}},
+            "5232": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 6, 1-11","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 6, 12-19","text":true}},
+            "5233": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 7, 25-31","text":true},"psalms":{"excerpt":"Tv 44, 11-12. 14-15. 16-17","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Lc 6, 20-26","text":true}},
+            "5234": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 8, 1b-7, 11-13","text":true},"psalms":{"excerpt":"Tv 138, 1-3. 13-14ab. 23-24","text":true},"alleluia":{"verse":"2 Cr 5, 19","text":true},"gospel":{"excerpt":"Lc 6, 27-38","text":true}},
+            "5235": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 9, 16-19. 22b-27","text":true},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6. 12","text":true},"alleluia":{"verse":"Ga 14, 23","text":true},"gospel":{"excerpt":"Lc 6, 39-42","text":true}},
+            "5236": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 10, 14-22a","text":true},"psalms":{"excerpt":"Tv 115, 12-13. 17-18","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Lc 6, 43-49","text":true}},
+            "5241": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 11, 17-26","text":true},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 17","text":true},"alleluia":{"verse":"Gc 1, 18","text":true},"gospel":{"excerpt":"Lc 7, 1-10","text":true}},
+            "5242": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 12, 12-14. 27-31a","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","text":true},"alleluia":{"verse":"Mt 11, 25","text":true},"gospel":{"excerpt":"Lc 7, 11-17","text":true}},
+            "5243": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 12, 31 – 13, 13","text":true},"psalms":{"excerpt":"Tv 32, 2-3. 4-5. 12 và 22","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Lc 7, 31-35","text":true}},
+            "5244": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 15, 1-11","text":true},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 28","text":true},"alleluia":{"verse":"Tv 118, 135","text":true},"gospel":{"excerpt":"Lc 7, 36-50","text":true}},
+            "5245": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 15, 12-20","text":true},"psalms":{"excerpt":"Tv 16, 1. 6-7. 8b và 15","text":true},"alleluia":{"verse":"Tv 118, 36a và 29b","text":true},"gospel":{"excerpt":"Lc 8, 1-3","text":true}},
+            "5246": {"chunk":"year2-ordinary-4","firstReading":{"excerpt":"(Năm II) 1 Cr 15, 35-37. 42-49","text":true},"psalms":{"excerpt":"Tv 55, 10c-11. 12-13","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 8, 4-15","text":true}},
+            "5251": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Cn 3, 27-34 {hoặc 27-35}","text":true},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","text":true},"alleluia":{"verse":"Gc 1, 21","text":true},"gospel":{"excerpt":"Lc 8, 16-18","text":true}},
+            "5252": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Cn 21, 1-6. 10-13","text":true},"psalms":{"excerpt":"Tv 118, 1. 27. 30. 34. 35. 44","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Lc 8, 19-21","text":true}},
+            "5253": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Cn 30, 5-9","text":true},"psalms":{"excerpt":"Tv 118, 29. 72. 89. 101. 104. 163","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Lc 9, 1-6","text":true}},
+            "5254": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gv 1, 2-11","text":true},"psalms":{"excerpt":"Tv 89, 3-4. 5-6. 12-13. 14 và 17","text":true},"alleluia":{"verse":"Tv 24, 4c và 5a","text":true},"gospel":{"excerpt":"Lc 9, 7-9","text":true}},
+            "5255": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gv 3, 1-11","text":true},"psalms":{"excerpt":"Tv 143, 1a và 2abc. 3-4","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Lc 9, 18-22","text":true}},
+            "5256": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gv 11, 9 – 12, 8","text":true},"psalms":{"excerpt":"Tv 89, 3-4. 5-6. 12-13. 14 và 17","text":true},"alleluia":{"verse":"Tv 114, 13cd","text":true},"gospel":{"excerpt":"Lc 9, 43b-45","text":true}},
+            "5261": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) G 1, 6-22","text":true},"psalms":{"excerpt":"Tv 16, 1. 2-3. 6-7","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Lc 9, 46-50","text":true}},
+            "5262": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) G 3, 1-3. 11-17. 20-23","text":true},"psalms":{"excerpt":"Tv 87, 2-3. 4-5. 6. 7-8","text":true},"alleluia":{"verse":"Tv 18, 9","text":true},"gospel":{"excerpt":"Lc 9, 51-56","text":true}},
+            "5263": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) G 9, 1-12. 14-16","text":true},"psalms":{"excerpt":"Tv 87, 10bc-11. 12-13. 14-15","text":true},"alleluia":{"verse":"Tv 118, 8ab","text":true},"gospel":{"excerpt":"Lc 9, 57-62","text":true}},
+            "5264": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) G 19, 21-27","text":true},"psalms":{"excerpt":"Tv 26, 7-8a. 8b-9abc. 13-14","text":true},"alleluia":{"verse":"1 Pr 1, 25","text":true},"gospel":{"excerpt":"Lc 10, 1-12","text":true}},
+            "5265": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) G 38, 1. 12-21; 40, 3-5","text":true},"psalms":{"excerpt":"Tv 138, 1-3. 7-8. 9-10. 13-14ab","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Lc 10, 13-16","text":true}},
+            "5266": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) G 42, 1-3. 5-6. 12-16","text":true},"psalms":{"excerpt":"Tv 118, 66. 71. 75. 91. 125. 130","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 10, 17-24","text":true}},
+            "5271": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 1, 6-12","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 7-8. 9 và 10c","text":true},"alleluia":{"verse":"1 Sm 3, 9; Ga 6, 69","text":true},"gospel":{"excerpt":"Lc 10, 25-37","text":true}},
+            "5272": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 1, 13-24","text":true},"psalms":{"excerpt":"Tv 138, 1-3. 13-14ab. 14c-15","text":true},"alleluia":{"verse":"Tv 144, 14cd","text":true},"gospel":{"excerpt":"Lc 10, 38-42","text":true}},
+            "5273": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 2, 1-2. 7-14","text":true},"psalms":{"excerpt":"Tv 116, 1. 2","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 11, 1-4","text":true}},
+            "5274": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 3, 1-5","text":true},"psalms":{"excerpt":"Lc 1, 69-70. 71-72. 73-75","text":true},"alleluia":{"verse":"Lc 4, 18-19","text":true},"gospel":{"excerpt":"Lc 11, 5-13","text":true}},
+            "5275": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 3, 7-14","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 11, 15-26","text":true}},
+            "5276": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 3, 22-29","text":true},"psalms":{"excerpt":"Tv 104, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"Ga 1, 14 và 12b","text":true},"gospel":{"excerpt":"Lc 11, 27-28","text":true}},
+            "5281": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 4, 22-24. 26-27. 31 – 5, 1","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5a và 6-7","text":true},"alleluia":{"verse":"Tv 118, 27","text":true},"gospel":{"excerpt":"Lc 11, 29-32","text":true}},
+            "5282": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 4, 31b – 5, 6","text":true},"psalms":{"excerpt":"Tv 118, 41. 43. 44. 45. 47. 48","text":true},"alleluia":{"verse":"Ga 6, 64b và 69b","text":true},"gospel":{"excerpt":"Lc 11, 37-41","text":true}},
+            "5283": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Gl 5, 18-25","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 11, 42-46","text":true}},
+            "5284": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 1, 1-10","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","text":true},"alleluia":{"verse":"Ga 14, 5","text":true},"gospel":{"excerpt":"Lc 11, 47-54","text":true}},
+            "5285": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 1, 11-14","text":true},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 12-13","text":true},"alleluia":{"verse":"Dt 4, 12","text":true},"gospel":{"excerpt":"Lc 12, 1-7","text":true}},
+            "5286": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 1, 15-23","text":true},"psalms":{"excerpt":"Tv 8, 2-3a. 4-5. 6-7","text":true},"alleluia":{"verse":"Gc 1, 18","text":true},"gospel":{"excerpt":"Lc 12, 8-12","text":true}},
+            "5291": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 2, 1-10","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","text":true},"alleluia":{"verse":"Tv 129, 5","text":true},"gospel":{"excerpt":"Lc 12, 13-21","text":true}},
+            "5292": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 2, 12-22","text":true},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","text":true},"alleluia":{"verse":"Ga 17, 17b và a","text":true},"gospel":{"excerpt":"Lc 12, 35-38","text":true}},
+            "5293": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 3, 2-12","text":true},"psalms":{"excerpt":"Is 12, 2-3. 4bcd-5. 5-6","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Lc 12, 39-48","text":true}},
+            "5294": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 3, 14-21","text":true},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 11-12. 18-19","text":true},"alleluia":{"verse":"Lc 19, 38","text":true},"gospel":{"excerpt":"Lc 12, 49-53","text":true}},
+            "5295": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 4, 1-6","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"alleluia":{"verse":"Ga 15, 15b","text":true},"gospel":{"excerpt":"Lc 12, 54-59","text":true}},
+            "5296": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 4, 7-16","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","text":true},"alleluia":{"verse":"Tv 118, 18","text":true},"gospel":{"excerpt":"Lc 13, 1-9","text":true}},
+            "5301": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 4, 32 – 5, 8","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":"Tv 94, 8ab","text":true},"gospel":{"excerpt":"Lc 13, 10-17","text":true}},
+            "5302": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 5, 21-33","text":true},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 13, 18-21","text":true}},
+            "5303": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 6, 1-9","text":true},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 13cd-14","text":true},"alleluia":{"verse":"Tv 118, 135","text":true},"gospel":{"excerpt":"Lc 13, 22-30","text":true}},
+            "5304": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Ep 6, 10-20","text":true},"psalms":{"excerpt":"Tv 143, 1. 2. 9-10","text":true},"alleluia":{"verse":"x. Ep 1, 17-18","text":true},"gospel":{"excerpt":"Lc 13, 31-35","text":true}},
+            "5305": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Pl 1, 1-11","text":true},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Tv 118, 36a và 29b","text":true},"gospel":{"excerpt":"Lc 14, 1-6","text":true}},
+            "5306": {"chunk":"year2-ordinary-5","firstReading":{"excerpt":"(Năm II) Pl 1, 18b-26","text":true},"psalms":{"excerpt":"Tv 41, 2. 3. 5bcd","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Lc 14, 1. 7-11","text":true}},
+            "5311": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Pl 2, 1-4","text":true},"psalms":{"excerpt":"Tv 130, 1. 2. 3","text":true},"alleluia":{"verse":"Mt 11, 29ab","text":true},"gospel":{"excerpt":"Lc 14, 12-14","text":true}},
+            "5312": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Pl 2, 5-11","text":true},"psalms":{"excerpt":"Tv 21, 26b-27. 28-30a. 31-32","text":true},"alleluia":{"verse":"Tv 147, 12a và 15a","text":true},"gospel":{"excerpt":"Lc 14, 15-24","text":true}},
+            "5313": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Pl 2, 12-18","text":true},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","text":true},"alleluia":{"verse":"Cv 16, 14b","text":true},"gospel":{"excerpt":"Lc 14, 25-33","text":true}},
+            "5314": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Pl 3, 3-8","text":true},"psalms":{"excerpt":"Tv 104, 2-3. 4-5. 6-7","text":true},"alleluia":{"verse":"2 Cr 5, 19","text":true},"gospel":{"excerpt":"Lc 15, 1-10","text":true}},
+            "5315": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Pl 3, 17 – 4, 1","text":true},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 16, 1-8","text":true}},
+            "5316": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Pl 4, 10-19","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 5-6. 8a và 9","text":true},"alleluia":{"verse":"Ep 1, 17-18","text":true},"gospel":{"excerpt":"Lc 16, 9-15","text":true}},
+            "5321": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Tt 1, 1-9","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6a","text":true},"alleluia":{"verse":"Mt 11, 25","text":true},"gospel":{"excerpt":"Lc 17, 1-6","text":true}},
+            "5322": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Tt 2, 1-8. 11-14","text":true},"psalms":{"excerpt":"Tv 36, 3-4. 18 và 23. 27 và 29","text":true},"alleluia":{"verse":"Cl 3, 16a và 17c","text":true},"gospel":{"excerpt":"Lc 17, 7-10","text":true}},
+            "5323": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Tt 3, 1-7","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Lc 17, 11-19","text":true}},
+            "5324": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Plm 7-20","text":true},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","text":true},"alleluia":{"verse":"2 Tx 2, 14","text":true},"gospel":{"excerpt":"Lc 17, 20-25","text":true}},
+            "5325": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) 2 Ga 4-9","text":true},"psalms":{"excerpt":"Tv 118, 1. 2. 10. 11. 17. 18","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Lc 17, 26-37","text":true}},
+            "5326": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) 3 Ga 5-8","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"2 Tm 1, 10b","text":true},"gospel":{"excerpt":"Lc 18, 1-8","text":true}},
+            "5331": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 1, 1-4; 2, 1-5a","text":true},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","text":true},"alleluia":{"verse":"Lc 16, 31","text":true},"gospel":{"excerpt":"Lc 18, 35-43","text":true}},
+            "5332": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 3, 1-6. 14-22","text":true},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","text":true},"alleluia":{"verse":"Lc 21, 28","text":true},"gospel":{"excerpt":"Lc 19, 1-10","text":true}},
+            "5333": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 4, 1-11","text":true},"psalms":{"excerpt":"Tv 150, 1-2. 3-4. 5-6","text":true},"alleluia":{"verse":"Tv 110, 8ab","text":true},"gospel":{"excerpt":"Lc 19, 11-28","text":true}},
+            "5334": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 5, 1-10","text":true},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","text":true},"alleluia":{"verse":"x. Cv 16, 14b","text":true},"gospel":{"excerpt":"Lc 19, 41-44","text":true}},
+            "5335": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 10, 8-11","text":true},"psalms":{"excerpt":"Tv 118, 14. 24. 72. 103. 111. 131","text":true},"alleluia":{"verse":"Tv 118, 34","text":true},"gospel":{"excerpt":"Lc 19, 45-48","text":true}},
+            "5336": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 11, 4-12","text":true},"psalms":{"excerpt":"Tv 143, 1. 2. 9-10","text":true},"alleluia":{"verse":"Pl 2, 15-16","text":true},"gospel":{"excerpt":"Lc 20, 27-40","text":true}},
+            "5341": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 14, 1-3, 4b-5","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 21, 1-4","text":true}},
+            "5342": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 14, 14-19","text":true},"psalms":{"excerpt":"Tv 95, 10. 11-12. 13","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 21, 5-11","text":true}},
+            "5343": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 15, 1-4","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 7-8. 9","text":true},"alleluia":{"verse":"Mt 24, 41a và 44","text":true},"gospel":{"excerpt":"Lc 21, 12-19","text":true}},
+            "5344": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 18, 1-2, 21-23; 19, 1-3. 9a","text":true},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","text":true},"alleluia":{"verse":"Lc 21, 28","text":true},"gospel":{"excerpt":"Lc 21, 20-28","text":true}},
+            "5345": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 20, 1-4. 11 – 21, 2","text":true},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6a và 8a","text":true},"alleluia":{"verse":"Kh 2, 10c","text":true},"gospel":{"excerpt":"Lc 21, 29-33","text":true}},
+            "5346": {"chunk":"year2-ordinary-6","firstReading":{"excerpt":"(Năm II) Kh 22, 1-7","text":true},"psalms":{"excerpt":"Tv 94, 1-2. 3-5. 6-7","text":true},"alleluia":{"verse":"Lc 21, 36","text":true},"gospel":{"excerpt":"Lc 21, 34-36","text":true}},
+            "5446": {"chunk":"year2-feasts","firstReading":{"excerpt":"I Is 61, 9-11","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"x. Lc 2, 19","text":true},"gospel":{"excerpt":"Lc 2, 41-51","text":true}}
+        },
+        "SPECIAL": {
+            "8330": {"chunk":"special-feasts","firstReading":{"excerpt":"Kn 3, 1-9 (TN II: 524)","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6 (TN II: 326) ","text":true},"secondReading":{"excerpt":"1 Cr 1, 17-25. (TN II: 111) ","text":true},"alleluia":{"verse":"1 Pr 4, 14","text":true},"gospel":{"excerpt":"Mt 10, 16-23 (TN II :454)","text":true}},
+            "8410": {"chunk":"special-feasts","firstReading":{"excerpt":"Xh 19,3-8a. 16-20b (St 11,1-9:...)","text":true},"psalms":{"excerpt":"Tv 103, 1-2a; 25c, 27-28, 29bc-30","text":true},"secondReading":{"excerpt":"Rm. 8,22-27","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 7,37-39","text":true}},
+            "8411": {"chunk":"special-feasts","firstReading":{"excerpt":"St 3, 9-15. 20","text":true},"psalms":{"excerpt":"Tv 86, 1-2. 3 và 5. 6-7","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 19, 25-27","text":true}},
+            "8441": {"chunk":"special-feasts","firstReading":{"excerpt":"Is 61, 9-11","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"x. Lc 2, 19","text":true},"gospel":{"excerpt":"Lc 2, 41-51","text":true}},
+            "20101": {"chunk":"special-christmas","firstReading":{"excerpt":"Ds 6, 22-27","text":true},"psalms":{"excerpt":"Tv 66, 2-3.5.6.7","text":true},"secondReading":{"excerpt":"Gl 4, 4-7","text":true},"alleluia":{"verse":"Dt 1, 1-2","text":true},"gospel":{"excerpt":"Lc 2, 16-21","text":true}},
+            "22512": {"chunk":"special-christmas","firstReading":{"excerpt":"Is 62, 11-12","text":true},"psalms":{"excerpt":"Tv 96, 1 và 6. 11-12","text":true},"secondReading":{"excerpt":"Tt 3, 4-7","text":true},"alleluia":{"verse":"Lc 2, 14","text":true},"gospel":{"excerpt":"Lc 2, 15-20","text":true}},
+            "70001": {"chunk":"special-saints-01","firstReading":{"excerpt":"st 1, 14-18","text":true},"psalms":{"excerpt":"Tv 89, 2. 3-4. 5-6. 12-13. 14. 16","text":true},"secondReading":{"excerpt":"Pl 4, 4-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 6, 25-34","text":true}},
+            "70002": {"chunk":"special-saints-02","firstReading":{"excerpt":"Hc 44, 1.10-15","text":true},"psalms":{"excerpt":"Tv 127,1-2.3.4-5a.5b-6","text":true},"secondReading":{"excerpt":"Ep 6,1-4.18-23","text":true},"alleluia":{"verse":"Tv 111,1-2","text":true},"gospel":{"excerpt":"Lc 1,67-75","text":true}},
+            "70003": {"chunk":"special-saints-03","firstReading":{"excerpt":"St 2, 4b-9.15","text":true},"psalms":{"excerpt":"Tv 103,1bc và 14a.14b-15.20-21.22-23.24","text":true},"secondReading":{"excerpt":"Cv 20,32-35","text":true},"alleluia":{"verse":"Ga 15,4a.5b","text":true},"gospel":{"excerpt":"Ga 5,16-20","text":true}},
+            "70109": {"chunk":"special-saints-09","firstReading":{"excerpt":"Kn 13, 1-9","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5 (Hoặc Thánh vịnh 104 (103))","text":true},"secondReading":{"excerpt":"Cl 1,15-20","text":true},"alleluia":{"verse":"Tv 104, 24","text":true},"gospel":{"excerpt":"Mt 6, 24-34 hoặc Mt 8,23-27","text":true}},
+            "70110": {"chunk":"special-saints-10","firstReading":{"excerpt":"Is 66, 10-14c","text":true},"psalms":{"excerpt":"Tv 130, 1. 2. 3","text":true},"alleluia":{"verse":"x. Mt 11, 25","text":true},"gospel":{"excerpt":"Mt 18, 1-4","text":true}},
+            "70111": {"chunk":"special-saints-11","firstReading":{"excerpt":"Kh 7, 2-4, 9-14","text":true},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","text":true},"secondReading":{"excerpt":"1 Ga 3, 1-3","text":true},"alleluia":{"verse":"Mc 11, 28","text":true},"gospel":{"excerpt":"Mt 5, 1-12a","text":true}},
+            "70202": {"chunk":"special-saints-02","firstReading":{"excerpt":"Ml 3, 1-4","text":true},"psalms":{"excerpt":"Tv 23, 7. 8. 9. 10","text":true},"secondReading":{"excerpt":"Dt 2, 14-18","text":true},"alleluia":{"verse":"Lc 2,32","text":true},"gospel":{"excerpt":"Lc 2, 22-32 [hoặc 22-40]","text":true}},
+            "70211": {"chunk":"special-saints-11","firstReading":{"excerpt":"Rm 6, 3-9","text":true},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","text":true},"alleluia":{"verse":"Ga 11, 25-26","text":true},"gospel":{"excerpt":"Ga 6, 51-59","text":true}},
+            "70305": {"chunk":"special-saints-05","firstReading":{"excerpt":"1 Cr 15, 1-8","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"alleluia":{"verse":"Ga 14, 6b và 9c","text":true},"gospel":{"excerpt":"Ga 14, 6-14","text":true}},
+            "70307": {"chunk":"special-saints-07","firstReading":{"excerpt":"Ep 2, 19-22","text":true},"psalms":{"excerpt":"Tv 116, 1. 2","text":true},"alleluia":{"verse":"Ga 20, 29","text":true},"gospel":{"excerpt":"Ga 20, 24-29","text":true}},
+            "70312": {"chunk":"special-saints-12","firstReading":{"excerpt":"I Cr 9, 16-19. 22-23","text":true},"psalms":{"excerpt":"Tv 95, 1.2a, 2b-3. 7-8a. 10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mc 16, 15-20","text":true}},
+            "70612": {"chunk":"special-saints-12","firstReading":{"excerpt":"1 Pr 5, 1-4","text":true},"psalms":{"excerpt":"Tv 22, 1-3. 4. 5. 6","text":true},"alleluia":{"verse":"Ga 15, 16","text":true},"gospel":{"excerpt":"Lc 10, 1-9","text":true}},
+            "70809": {"chunk":"special-saints-09","firstReading":{"excerpt":"Mk 5, 2-5a","text":true},"psalms":{"excerpt":"Tv 12, 6ab. 6cd","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 1-16. 18-23","text":true}},
+            "70812": {"chunk":"special-saints-12","firstReading":{"excerpt":"St 3, 9-15. 20","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","text":true},"secondReading":{"excerpt":"Ep 1, 3-6. 11-12","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "70911": {"chunk":"special-saints-11","firstReading":{"excerpt":"Ed 47, 1-2. 8-9. 12","text":true},"psalms":{"excerpt":"Tv 45, 2-3. 5-6. 8-9","text":true},"secondReading":{"excerpt":"1 Cr 3, 9b-11.16-17","text":true},"alleluia":{"verse":"2 Sb 7, 16","text":true},"gospel":{"excerpt":"Ga 2, 13-22","text":true}},
+            "71008": {"chunk":"special-saints-08","firstReading":{"excerpt":"2 Cr 9, 6-10","text":true},"psalms":{"excerpt":"Tv 111, 1-2. 5-6. 7-8. 9","text":true},"alleluia":{"verse":"Ga 8, 12","text":true},"gospel":{"excerpt":"Ga 12, 24-26","text":true}},
+            "71405": {"chunk":"special-saints-05","firstReading":{"excerpt":"Cv 1, 15-17. 20-26","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6. 7-8","text":true},"alleluia":{"verse":"Ga 15, 16","text":true},"gospel":{"excerpt":"Ga 15, 9-17","text":true}},
+            "71408": {"chunk":"special-saints-08","firstReading":{"excerpt":"1 Sb 15, 3-4. 15-16; 16, 1-2","text":true},"psalms":{"excerpt":"Tv 131, 6-7. 9-10. 13-14","text":true},"secondReading":{"excerpt":"1 Cr 15, 54-57","text":true},"alleluia":{"verse":"Lc 11, 28","text":true},"gospel":{"excerpt":"Lc 11, 27-28","text":true}},
+            "71409": {"chunk":"special-saints-09","firstReading":{"excerpt":"Ds 21, 4-9","text":true},"psalms":{"excerpt":"Tv 77, 1-2. 34-35. 36-37. 38","text":true},"secondReading":{"excerpt":"Pl 2, 6-11","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 3, 13-17","text":true}},
+            "71508": {"chunk":"special-saints-08","firstReading":{"excerpt":"Kh 11, 19a; 12, 1-6a, 10ab","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"secondReading":{"excerpt":"1 Cr 15, 20-26","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 39-56","text":true}},
+            "71810": {"chunk":"special-saints-10","firstReading":{"excerpt":"2 Tm 4, 9-17a","text":true},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 17-18","text":true},"alleluia":{"verse":"Ga 15, 16","text":true},"gospel":{"excerpt":"Lc 10, 1-9","text":true}},
+            "71903": {"chunk":"special-saints-03","firstReading":{"excerpt":"2 Sm 7, 4-5a. 12-14a. 16","text":true},"psalms":{"excerpt":"Tv 88, 2-3. 4-5. 27 và 29","text":true},"secondReading":{"excerpt":"Rm 4, 13. 16-18. 22","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 16. 18-21. 24a","text":true}},
+            "72109": {"chunk":"special-saints-09","firstReading":{"excerpt":"Ep 4, 1-7. 11-13","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 9, 9-13","text":true}},
+            "72202": {"chunk":"special-saints-02","firstReading":{"excerpt":"1 Pr 5, 1-4","text":true},"psalms":{"excerpt":"Tv 22, 1-3. 4. 5. 6","text":true},"alleluia":{"verse":"Mt 16, 18","text":true},"gospel":{"excerpt":"Mt 16, 13-19","text":true}},
+            "72207": {"chunk":"special-saints-07","firstReading":{"excerpt":"Dc 3, 1-4a","text":true},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 8-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 20, 1. 11-18","text":true}},
+            "72306": {"chunk":"special-saints-06","firstReading":{"excerpt":"Gr 1, 4-10","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15 và 17","text":true},"secondReading":{"excerpt":"1 Pr 1, 8-12","text":true},"alleluia":{"verse":"Ga 1, 7; Lc 1, 17","text":true},"gospel":{"excerpt":"Lc 1, 5-17","text":true}},
+            "72404": {"chunk":"special-saints-04","firstReading":{"excerpt":"Cv 7, 44-50","text":true},"psalms":{"excerpt":"Tv 83, 3. 4. 5 và 10. 11","text":true},"alleluia":{"verse":"2 Sb 7, 16","text":true},"gospel":{"excerpt":"Ga 2, 13-22","text":true}},
+            "72406": {"chunk":"special-saints-06","firstReading":{"excerpt":"Is 49, 1-6","text":true},"psalms":{"excerpt":"Tv 138, 1-3. 13-14ab. 14c-15","text":true},"secondReading":{"excerpt":"Cv 13, 22-26","text":true},"alleluia":{"verse":"Lc 1, 76","text":true},"gospel":{"excerpt":"Lc 1, 57-66. 80","text":true}},
+            "72408": {"chunk":"special-saints-08","firstReading":{"excerpt":"Kh 21, 9b-14","text":true},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 17-18","text":true},"alleluia":{"verse":"Ga 1, 49b","text":true},"gospel":{"excerpt":"Ga 1, 45-51","text":true}},
+            "72411": {"chunk":"special-saints-11","firstReading":{"excerpt":"Kn 3, 1-9:","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"secondReading":{"excerpt":"1 Cr 1, 17-25","text":true},"alleluia":{"verse":"Mt 5,10","text":true},"gospel":{"excerpt":"Lc 9,23-26","text":true}},
+            "72501": {"chunk":"special-saints-01","firstReading":{"excerpt":"Cv 22, 3-16","text":true},"psalms":{"excerpt":"Tv 116, 1. 2","text":true},"alleluia":{"verse":"Ga 15, 16","text":true},"gospel":{"excerpt":"Mc 16, 15-18","text":true}},
+            "72503": {"chunk":"special-saints-03","firstReading":{"excerpt":"Is 7, 10-14","text":true},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 11","text":true},"secondReading":{"excerpt":"Dt 10, 4-10","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "72504": {"chunk":"special-saints-04","firstReading":{"excerpt":"1 Pr 5, 5b-14","text":true},"psalms":{"excerpt":"Tv 88, 2-3. 6-7. 16-17","text":true},"alleluia":{"verse":"1 Cr 1, 23. 24","text":true},"gospel":{"excerpt":"Mc 16, 15-20","text":true}},
+            "72507": {"chunk":"special-saints-07","firstReading":{"excerpt":"2 Cr 4, 7-15","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","text":true},"alleluia":{"verse":"Ga 15, 16","text":true},"gospel":{"excerpt":"Mt 20, 20-28","text":true}},
+            "72806": {"chunk":"special-saints-06","firstReading":{"excerpt":"Cv 3, 1-10","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"secondReading":{"excerpt":"Gl 1, 11-20","text":true},"alleluia":{"verse":"Ga 21, 17d","text":true},"gospel":{"excerpt":"Ga 21, 15-19","text":true}},
+            "72810": {"chunk":"special-saints-10","firstReading":{"excerpt":"Ep 2, 19-22","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 6, 12-19","text":true}},
+            "72906": {"chunk":"special-saints-06","firstReading":{"excerpt":"Cv 12, 1-11","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"secondReading":{"excerpt":"2 Tm 4, 6-8. 17-18","text":true},"alleluia":{"verse":"Mt 16, 18","text":true},"gospel":{"excerpt":"Mt 16, 13-19","text":true}},
+            "72909": {"chunk":"special-saints-09","firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","text":true},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 4-5","text":true},"alleluia":{"verse":"Tv 102, 21","text":true},"gospel":{"excerpt":"Ga 1, 47-51","text":true}},
+            "73011": {"chunk":"special-saints-11","firstReading":{"excerpt":"Rm 10, 9-18","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"alleluia":{"verse":"Ga 9, 19","text":true},"gospel":{"excerpt":"Mt 4, 18-22","text":true}},
+            "73105": {"chunk":"special-saints-05","firstReading":{"excerpt":"Xp 3, 14-18a","text":true},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","text":true},"alleluia":{"verse":"Lc 1, 45","text":true},"gospel":{"excerpt":"Lc 1, 39-56","text":true}},
+            "80001": {"chunk":"special-saints-01","firstReading":{"excerpt":"Is 63,7-9","text":true},"psalms":{"excerpt":"Tv 135,1; 3.4 ; 23.25-26","text":true},"secondReading":{"excerpt":"1Cr 1,3-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1,39-55","text":true}},
+            "80105": {"chunk":"special-saints-05","firstReading":{"excerpt":"St 1, 26 – 2, 3","text":true},"psalms":{"excerpt":"Tv 89, 2. 3-4. 12-13. 14 và 16","text":true},"alleluia":{"verse":"Tv 67, 20","text":true},"gospel":{"excerpt":"Mt 13, 54-58","text":true}},
+            "80158": {"chunk":"special-feasts","firstReading":{"excerpt":"Hc 42, 15-16; 43, 1-2.6-10","text":true},"psalms":{"excerpt":"Tv 135,1.4-9","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Mc 10, 13-16","text":true}},
+            "80209": {"chunk":"special-saints-09","firstReading":{"excerpt":"Xh 23, 20-23a","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","text":true},"alleluia":{"verse":"Tv 102, 21","text":true},"gospel":{"excerpt":"Mt 18, 1-5. 10","text":true}},
+            "80210": {"chunk":"special-saints-10","firstReading":{"excerpt":"Xh 23, 20-23a","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","text":true},"alleluia":{"verse":"Tv 102, 21","text":true},"gospel":{"excerpt":"Mt 18, 1-5. 10","text":true}},
+            "80211": {"chunk":"special-saints-11","firstReading":{"excerpt":"Kn 3, 1-9","text":true},"psalms":{"excerpt":"Tv 24, 6-7bc. 17-18. 20-21","text":true},"alleluia":{"verse":"2 Tm 2, 11-12a","text":true},"gospel":{"excerpt":"Lc 23, 33. 39-43","text":true}},
+            "80710": {"chunk":"special-saints-10","firstReading":{"excerpt":"Cv 1: 12-14","text":true},"psalms":{"excerpt":"Lc 1,46-47.48-49.50-51.52-53.54-55 ","text":true},"alleluia":{"verse":"Lc 1, 28","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "81106": {"chunk":"special-saints-06","firstReading":{"excerpt":"Cv 11, 21b-26; 13, 1-3","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3a. 3cd-4. 5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 10, 7-13","text":true}},
+            "81408": {"chunk":"special-saints-08","firstReading":{"excerpt":"1 V 17, 17-24","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b.","text":true},"secondReading":{"excerpt":"Gl 1, 11-19","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 7, 11-17","text":true}},
+            "81509": {"chunk":"special-saints-09","firstReading":{"excerpt":"Dt 5, 7-9","text":true},"psalms":{"excerpt":"Tv 30, 2-3a. 3bc-4. 5-6. 15-18. 19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 19, 25-27 (Lc 2, 33-35)","text":true}},
+            "81710": {"chunk":"special-saints-10","firstReading":{"excerpt":"Pl 3, 17 – 4, 1","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Gc 1, 12","text":true},"gospel":{"excerpt":"Ga 12, 24-26","text":true}},
+            "81711": {"chunk":"special-saints-11","firstReading":{"excerpt":"St 3, 9-15. 20","text":true},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8","text":true},"secondReading":{"excerpt":"Rm 5, 12. 17-19","text":true},"alleluia":{"verse":"Lc 1, 28","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "82111": {"chunk":"special-saints-11","firstReading":{"excerpt":"Dcr 2, 14-17","text":true},"psalms":{"excerpt":"1 Sm 2, 1.4-5.6-7.8","text":true},"alleluia":{"verse":"Lc 1,28","text":true},"gospel":{"excerpt":"Mt 12, 46-50","text":true}},
+            "82208": {"chunk":"special-saints-08","firstReading":{"excerpt":"Is 9, 2-4. 6-7","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6. 7-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "82306": {"chunk":"special-saints-06","firstReading":{"excerpt":"Gr 1, 4-10","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15 và 17","text":true},"secondReading":{"excerpt":"1 Pr 1, 8-12","text":true},"alleluia":{"verse":"Ga 1, 7; Lc 1, 17","text":true},"gospel":{"excerpt":"Lc 1, 5-17","text":true}},
+            "82412": {"chunk":"special-saints-12","firstReading":{"excerpt":"Is 62, 1-5","text":true},"psalms":{"excerpt":"Tv 88, 4-5. 16-17. 27 và 29","text":true},"secondReading":{"excerpt":"Cv 13, 16-17. 22-25","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 1-25","text":true}},
+            "82512": {"chunk":"special-saints-12","firstReading":{"excerpt":"Is 52, 7-10","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","text":true},"secondReading":{"excerpt":"Dt 1, 1-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 1, 1-18","text":true}},
+            "82601": {"chunk":"special-saints-01","firstReading":{"excerpt":"2 Tm 1, 1-8","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 7-8a. 10","text":true},"alleluia":{"verse":"Mt 23, 9a. 10b","text":true},"gospel":{"excerpt":"Lc 10, 1-9","text":true}},
+            "82607": {"chunk":"special-saints-07","firstReading":{"excerpt":"Hc 44, 1. 10-15","text":true},"psalms":{"excerpt":"Tv 131, 11. 13-14. 17-18","text":true},"alleluia":{"verse":"x. Lc 2, 25c","text":true},"gospel":{"excerpt":"Mt 13, 16-17","text":true}},
+            "82806": {"chunk":"special-saints-06","firstReading":{"excerpt":"Cv 3, 1-10","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"secondReading":{"excerpt":"Gl 1, 11-20","text":true},"alleluia":{"verse":"Ga 21, 17d","text":true},"gospel":{"excerpt":"Ga 21, 15-19","text":true}},
+            "82907": {"chunk":"special-saints-07","firstReading":{"excerpt":"1 Ga 4, 7-16","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"x. Lc 2, 25c","text":true},"gospel":{"excerpt":"Ga 11, 19-27","text":true}},
+            "82908": {"chunk":"special-saints-08","firstReading":{"excerpt":"Gr 1, 17-19","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","text":true},"alleluia":{"verse":"Mt 5, 10","text":true},"gospel":{"excerpt":"Mc 6, 17-29","text":true}},
+            "224122": {"chunk":"special-christmas","firstReading":{"excerpt":"Is 62, 1-5","text":true},"psalms":{"excerpt":"Tv 88, 4-5. 16-17. 27 và 29","text":true},"secondReading":{"excerpt":"Cv 13, 16-17. 22-25","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 1-25 (bài dài; hoặc 1, 18-25)","text":true}},
+            "22512D": {"chunk":"special-christmas","firstReading":{"excerpt":"Is 9, 2-4. 6-7 (Hr 1-3. 5-6)","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 11-12. 13","text":true},"secondReading":{"excerpt":"Tt 2, 11-14","text":true},"alleluia":{"verse":"Lc 2, 10-11","text":true},"gospel":{"excerpt":"Lc 2, 1-14","text":true}},
+            "22512R": {"chunk":"special-christmas","firstReading":{"excerpt":"Is 52, 7-10","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","text":true},"secondReading":{"excerpt":"Dt 1, 1-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 1, 1-18 (hoặc 1-5. 9-14)","text":true}},
+            "72405AU": {"chunk":"special-saints-05","firstReading":{"excerpt":"Kh 11, 19a; 12, 1-6a, 10ab","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"secondReading":{"excerpt":"Gl 4, 4-7","text":true},"alleluia":{"verse":"Lc 1, 45","text":true},"gospel":{"excerpt":"Ga 2, 1-12","text":true}},
+            "73005FR": {"chunk":"special-saints-05","firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Mt 25, 1-13","text":true}},
+            "71407US": {"chunk":"special-saints-07","firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Mt 25, 1-13","text":true}},
+            "70808AU": {"chunk":"special-saints-08","firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"1 Tx 2, 13","text":true},"gospel":{"excerpt":"Mt 25, 1-13","text":true}},
+            "71212US": {"chunk":"special-saints-12","firstReading":{"excerpt":"Kh 11, 19a; 12, 1-6a, 10ab","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"Lc 1, 45","text":true},"gospel":{"excerpt":"Lc 1, 39-56","text":true}}
+        },
+        "OPTION_SAINT": {
+            "8330": {"chunk":"option-feasts","firstReading":{"excerpt":"Kn 3, 1-9 (TN II: 524)","text":true},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6 (TN II: 326) ","text":true},"secondReading":{"excerpt":"1 Cr 1, 17-25. (TN II: 111) ","text":true},"alleluia":{"verse":"1 Pr 4, 14","text":true},"gospel":{"excerpt":"Mt 10, 16-23 (TN II :454)","text":true}},
+            "8410": {"chunk":"option-feasts","firstReading":{"excerpt":"Xh 19,3-8a. 16-20b (St 11,1-9:...)","text":true},"psalms":{"excerpt":"Tv 103, 1-2a; 25c, 27-28, 29bc-30","text":true},"secondReading":{"excerpt":"Rm. 8,22-27","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 7,37-39","text":true}},
+            "8411": {"chunk":"option-feasts","firstReading":{"excerpt":"St 3, 9-15. 20","text":true},"psalms":{"excerpt":"Tv 86, 1-2. 3 và 5. 6-7","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 19, 25-27","text":true}},
+            "8441": {"chunk":"option-feasts","firstReading":{"excerpt":"I Is 61, 9-11","text":true},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","text":true},"alleluia":{"verse":"x. Lc 2, 19","text":true},"gospel":{"excerpt":"Lc 2, 41-51","text":true}},
+            "80001": {"chunk":"option-saints-01","firstReading":{"excerpt":"Is 63,7-9","text":true},"psalms":{"excerpt":"Tv 135,1; 3.4 ; 23.25-26","text":true},"secondReading":{"excerpt":"1Cr 1,3-9","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1,39-55","text":true}},
+            "80105": {"chunk":"option-saints-05","firstReading":{"excerpt":"St 1, 26 – 2, 3","text":true},"psalms":{"excerpt":"Tv 89, 2. 3-4. 12-13. 14 và 16","text":true},"alleluia":{"verse":"Tv 67, 20","text":true},"gospel":{"excerpt":"Mt 13, 54-58","text":true}},
+            "80158": {"chunk":"option-feasts","firstReading":{"excerpt":"Hc 42, 15-16; 43, 1-2.6-10","text":true},"psalms":{"excerpt":"Tv 135,1.4-9","text":true},"alleluia":{"verse":"1 Ga 2, 5","text":true},"gospel":{"excerpt":"Mc 10, 13-16","text":true}},
+            "80209": {"chunk":"option-saints-09","firstReading":{"excerpt":"Xh 23, 20-23a","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","text":true},"alleluia":{"verse":"Tv 102, 21","text":true},"gospel":{"excerpt":"Mt 18, 1-5. 10","text":true}},
+            "80210": {"chunk":"option-saints-10","firstReading":{"excerpt":"Xh 23, 20-23a","text":true},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","text":true},"alleluia":{"verse":"Tv 102, 21","text":true},"gospel":{"excerpt":"Mt 18, 1-5. 10","text":true}},
+            "80211": {"chunk":"option-saints-11","firstReading":{"excerpt":"Kn 3, 1-9","text":true},"psalms":{"excerpt":"Tv 24, 6-7bc. 17-18. 20-21","text":true},"alleluia":{"verse":"2 Tm 2, 11-12a","text":true},"gospel":{"excerpt":"Lc 23, 33. 39-43","text":true}},
+            "80710": {"chunk":"option-saints-10","firstReading":{"excerpt":"Cv 1: 12-14","text":true},"psalms":{"excerpt":"Lc 1,46-47.48-49.50-51.52-53.54-55 ","text":true},"alleluia":{"verse":"Lc 1, 28","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "81106": {"chunk":"option-saints-06","firstReading":{"excerpt":"Cv 11, 21b-26; 13, 1-3","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3a. 3cd-4. 5-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 10, 7-13","text":true}},
+            "81408": {"chunk":"option-saints-08","firstReading":{"excerpt":"1 V 17, 17-24","text":true},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b.","text":true},"secondReading":{"excerpt":"Gl 1, 11-19","text":true},"alleluia":{"verse":"Mt 4, 4b","text":true},"gospel":{"excerpt":"Lc 7, 11-17","text":true}},
+            "81509": {"chunk":"option-saints-09","firstReading":{"excerpt":"Dt 5, 7-9","text":true},"psalms":{"excerpt":"Tv 30, 2-3a. 3bc-4. 5-6. 15-18. 19","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 19, 25-27 (Lc 2, 33-35)","text":true}},
+            "81710": {"chunk":"option-saints-10","firstReading":{"excerpt":"Pl 3, 17 – 4, 1","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"Gc 1, 12","text":true},"gospel":{"excerpt":"Ga 12, 24-26","text":true}},
+            "81711": {"chunk":"option-saints-11","firstReading":{"excerpt":"St 3, 9-15. 20","text":true},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8","text":true},"secondReading":{"excerpt":"Rm 5, 12. 17-19","text":true},"alleluia":{"verse":"Lc 1, 28","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "82111": {"chunk":"option-saints-11","firstReading":{"excerpt":"Dcr 2, 14-17","text":true},"psalms":{"excerpt":"1 Sm 2, 1.4-5.6-7.8","text":true},"alleluia":{"verse":"Lc 1,28","text":true},"gospel":{"excerpt":"Mt 12, 46-50","text":true}},
+            "82208": {"chunk":"option-saints-08","firstReading":{"excerpt":"Is 9, 2-4. 6-7","text":true},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6. 7-8","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Lc 1, 26-38","text":true}},
+            "82306": {"chunk":"option-saints-06","firstReading":{"excerpt":"Gr 1, 4-10","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15 và 17","text":true},"secondReading":{"excerpt":"1 Pr 1, 8-12","text":true},"alleluia":{"verse":"Ga 1, 7; Lc 1, 17","text":true},"gospel":{"excerpt":"Lc 1, 5-17","text":true}},
+            "82412": {"chunk":"option-saints-12","firstReading":{"excerpt":"Is 62, 1-5","text":true},"psalms":{"excerpt":"Tv 88, 4-5. 16-17. 27 và 29","text":true},"secondReading":{"excerpt":"Cv 13, 16-17. 22-25","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Mt 1, 1-25","text":true}},
+            "82512": {"chunk":"option-saints-12","firstReading":{"excerpt":"Is 52, 7-10","text":true},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","text":true},"secondReading":{"excerpt":"Dt 1, 1-6","text":true},"alleluia":{"verse":" ","text":true},"gospel":{"excerpt":"Ga 1, 1-18","text":true}},
+            "82601": {"chunk":"option-saints-01","firstReading":{"excerpt":"2 Tm 1, 1-8","text":true},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 7-8a. 10","text":true},"alleluia":{"verse":"Mt 23, 9a. 10b","text":true},"gospel":{"excerpt":"Lc 10, 1-9","text":true}},
+            "82607": {"chunk":"option-saints-07","firstReading":{"excerpt":"Hc 44, 1. 10-15","text":true},"psalms":{"excerpt":"Tv 131, 11. 13-14. 17-18","text":true},"alleluia":{"verse":"x. Lc 2, 25c","text":true},"gospel":{"excerpt":"Mt 13, 16-17","text":true}},
+            "82806": {"chunk":"option-saints-06","firstReading":{"excerpt":"Cv 3, 1-10","text":true},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","text":true},"secondReading":{"excerpt":"Gl 1, 11-20","text":true},"alleluia":{"verse":"Ga 21, 17d","text":true},"gospel":{"excerpt":"Ga 21, 15-19","text":true}},
+            "82907": {"chunk":"option-saints-07","firstReading":{"excerpt":"1 Ga 4, 7-16","text":true},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","text":true},"alleluia":{"verse":"x. Lc 2, 25c","text":true},"gospel":{"excerpt":"Ga 11, 19-27","text":true}},
+            "82908": {"chunk":"option-saints-08","firstReading":{"excerpt":"Gr 1, 17-19","text":true},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","text":true},"alleluia":{"verse":"Mt 5, 10","text":true},"gospel":{"excerpt":"Mc 6, 17-29","text":true}}
+        }
+    }
+};
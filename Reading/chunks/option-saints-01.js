@@ -0,0 +1,7 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-01", {
+    "OPTION_SAINT": {
+        "80001": {"firstReading":{"excerpt":"Is 63,7-9","info":"Tôi xin dâng lời ca tụng Đức Chúa, vì lòng nhân hậu lớn lao của Người.","title":"Bài trích sách tiên tri I-sai-a","content":"Tôi xin nhắc lại ân nghĩa Đức Chúa, dâng lời ca tụng Đức Chúa, vì tất cả những gì Đức Chúa đã thực hiện cho chúng tôi vì lòng nhân hậu lớn lao của Người đối với nhà Ít-ra-en, vì những gì Người đã thực hiện, bởi lòng Người đầy thương xót và lắm nghĩa giàu ân. Người đã phán: “Thật, chúng là dân của Ta, là những đứa con không biết lừa dối!” Và đối với họ, Người đã là một vị cứu tinh, trong mọi cơn quẫn bách. Không phải là một sứ giả hay một thiên thần đã cứu thoát họ, nhưng là chính tôn nhan Người. Vì yêu mến và thương cảm, chính Người đã chuộc họ về, đã vực họ dậy và mang họ đi suốt thời gian quá khứ.\rĐó là lời Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 135,1; 3.4 ; 23.25-26","response":"Đáp: Muôn ngàn đời Chúa vẫn trọn tình thương.","verses":["Xướng: Hãy tạ ơn Chúa vì Chúa nhân từ, muôn ngàn đời Chúa vẫn trọn tình thương. Hãy tạ ơn Chúa các chúa, muôn ngàn đời Chúa vẫn trọn tình thương.","Xướng: Chỉ có Người làm nên những kỳ công vĩ đại, muôn ngàn đời Chúa vẫn trọn tình thương, Chúa đã nhớ đến ta giữa cảnh nhục nhằn, muôn ngàn đời Chúa vẫn trọn tình thương.","Xướng: Người ban lương thực cho tất cả chúng sinh, muôn ngàn đời Chúa vẫn trọn tình thương. Hãy tạ ơn Thiên Chúa cửu trùng, muôn ngàn đời Chúa vẫn trọn tình thương."]},"secondReading":{"excerpt":"1Cr 1,3-9","info":"Chúng ta mong đợi ngày Đức Giê-su Ki-tô, Chúa chúng ta, mặc khải vinh quang của Người.","title":"Bài trích thư thứ nhất của thánh Phao-lô tông đồ gửi tín hữu Cô-rin-tô","content":"Anh em thân mến, chúc cho anh em đầy ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Đức Giêsu Kitô. Tôi hằng cảm tạ Chúa thay cho anh em, vì ơn đã ban cho anh em trong Chúa Giêsu Kitô. Vì chưng, trong Ngài, anh em được tràn đầy mọi ơn: ơn ngôn ngữ và ơn hiểu biết, đúng như Chúa Kitô đã minh chứng nơi anh em, khiến anh em không còn thiếu ơn nào nữa trong khi mong chờ Đức Giêsu Kitô, Chúa chúng ta tỏ mình ra. Cũng chính Ngài sẽ ban cho anh em bền vững đến cùng, không có gì đáng khiển trách trong ngày Đức Giêsu Kitô, Chúa chúng ta ngự đến. Thiên Chúa là Đấng Trung Tín đã kêu mời anh em hiệp nhất với Con của Người là Đức Giêsu Kitô, Chúa chúng ta.\rĐó là lời Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia.-Chúa đã làm cho tôi những điều cao cả, thật danh Người chí thánh chí tôn. Alleluia."},"gospel":{"excerpt":"Lc 1,39-55","info":"“Linh hồn tôi ngợi khen Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy, Maria chỗi dậy, Bà vào nhà ông Dacaria và chào bà Elisabeth. Và khi bà Elisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Elisabeth được đầy Chúa Thánh Thần. Bà kêu lớn tiếng rằng: “Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm tôi? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rVà Maria nói: “Linh hồn tôi ca ngợi Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Người đã nhìn đến phận hèn tôi tớ Người, thực từ đây thiên hạ muôn đời sẽ khen rằng tôi có phước, vì Ðấng đã làm cho tôi những điều trọng đại, Người quyền năng, và Danh Người là thánh. Ðức từ bi Người tự đời nọ tới đời kia dành cho những ai kính sợ Người. Người đã vung cánh tay ra oai thần lực, dẹp tan những ai lòng trí kiêu căng. Người lật đổ người quyền thế xuống khỏi ngai vàng, và nâng cao những người phận nhỏ; người đói khát, Người cho no đầy thiện hảo, bọn giàu sang, Người đuổi về tay không. Người đã nhận săn sóc Israel tôi tớ Người, bởi nhớ lại lòng từ bi của Người, như Người đã phán cùng tổ phụ chúng tôi, cho Abraham và miêu duệ ông tới muôn đời”.","end":"Ðó là lời Chúa"}},
+        "82601": {"firstReading":{"excerpt":"2 Tm 1, 1-8","info":"“Nhớ lại đức tin trung thành của con”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi cho Timô-thêu.","content":"Phaolô, Tông đồ của Chúa Giêsu Kitô, bởi ý định của Thiên Chúa, theo lời hứa ban sự sống trong Chúa Giêsu Kitô, gởi lời thăm Timôthêu, người con yêu dấu. Nguyện chúc ân sủng, lòng từ bi và bình an của Thiên Chúa Cha, và Ðức Giêsu Kitô, Chúa chúng ta.\rCha cảm tạ ơn Chúa, Ðấng cha phụng sự như tổ tiên cha, với tâm hồn trong trắng, khi cha đêm ngày hằng nhớ đến con trong kinh nguyện, nhớ đến nước mắt con đã chảy ra. Cha mong ước gặp con, để được đầy lòng vui mừng. Cha nhớ lại đức tin trung thành của con, đức tin mà bà ngoại của con là Lois đã có trước, rồi đến mẹ con là Êunikê, và cha tin chắc con cũng có đức tin đó. Vì vậy, cha nhắc nhở con điều này, là hãy làm sống động ơn Chúa trong con, ơn mà con lãnh nhận qua việc cha đặt tay trên con. Thật vậy, Thiên Chúa không ban cho chúng ta một thần trí nhát sợ, mà là thần trí dũng mạnh, mến yêu và độ lượng. Vậy con chớ hổ thẹn làm chứng cho Chúa chúng ta, cũng đừng hổ thẹn vì cha là tù nhân của Người; nhưng hãy cộng tác với Tin Mừng dựa theo quyền lực của Thiên Chúa.\r Đó là Lời Chúa.\r. \rHoặc đọc: Tt 1, 1-5\r“Gởi lời thăm Titô, người con chân thật trong cùng một đức tin”.\rTrích thư Thánh Phaolô Tông đồ gửi cho Titô.\rPhaolô, đầy tớ của Thiên Chúa, Tông đồ của Ðức Giêsu Kitô, theo đức tin của những người được Chúa chọn, và sự hiểu biết chân lý theo lòng đạo đức, trong hy vọng được sống đời đời mà Thiên Chúa là Ðấng không lừa dối, đã hứa từ muôn đời; và khi đến giờ đã định, Người bày tỏ lời Người qua việc rao giảng mà Người đã giao phó cho cha theo lệnh của Thiên Chúa Ðấng Cứu độ chúng ta: gởi lời thăm Titô, người con chân thật trong cùng một đức tin. Nguyện chúc cho con được ân sủng và bình an của Thiên Chúa Cha, và của Ðức Giêsu Kitô, Ðấng Cứu độ chúng ta. Ðây là lý do cha để con ở lại Crêta, là để con tổ chức cho xong xuôi tất cả, và thiết lập hàng niên trưởng trong mỗi thành phố, như cha đã truyền dạy cho con.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 7-8a. 10","response":"Ðáp: Hãy tường thuật phép lạ Chúa giữa muôn dân.","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy ca mừng Chúa đi, toàn thể địa cầu! Hãy ca mừng Chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa muôn dân và phép lạ Người ở nơi vạn quốc.","Xướng: Hãy kính tặng Chúa, hỡi người chư dân bá tánh, hãy kính tặng Chúa quyền thế với vinh quang; hãy kính tặng Chúa vinh quang xứng với danh Người. Hãy mang lễ vật, tiến vào hành lang nhà Chúa.","Xướng: Người giữ vững địa cầu cho khỏi lung lay, Người cai quản chư dân theo đường đoan chính."]},"alleluia":{"verse":"Mt 23, 9a. 10b","content":"alleluia! – “Các ngươi chỉ có một Cha, Người ngự trên trời. Các ngươi chỉ có một người chỉ đạo, đó là Ðức Kitô”. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-9","info":"“Lúa chín đầy đồng mà thợ gặt thì ít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người, đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của người. Các con hãy đi. Này Thầy sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường. Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ. Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: “Nước Thiên Chúa đã đến gần các ngươi”.","end":"Ðó là lời Chúa"}}
+    }
+});
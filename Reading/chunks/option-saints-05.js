@@ -0,0 +1,6 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-05", {
+    "OPTION_SAINT": {
+        "80105": {"firstReading":{"excerpt":"St 1, 26 – 2, 3","info":"“Hãy sinh sôi nảy nở cho nhiều đầy mặt đất, và thống trị nó”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa phán: “Chúng ta hãy dựng nên con người theo hình ảnh giống như Ta, để chúng làm chủ cá biển, chim trời, dã thú khắp mặt đất, và tất cả loài bò sát di chuyển trên mặt đất”. Vậy Thiên Chúa đã tạo thành con người giống hình ảnh Chúa. Người tạo thành con người giống hình ảnh Thiên Chúa. Người tạo thành họ có nam có nữ. Thiên Chúa chúc phúc cho họ và phán rằng: “Hãy sinh sôi nảy nở cho nhiều đầy mặt đất, và thống thị nó, hãy bá chủ cá biển, chim trời và toàn thể sinh vật di chuyển trên mặt đất”.\rThiên Chúa phán: “Ðây Ta ban cho các ngươi làm thức ăn mọi thứ cây cỏ mang hạt giống trên mặt đất, và toàn thể thảo mộc sinh trái có hạt tuỳ theo giống. Ta ban mọi thứ cây cỏ xanh tươi làm thức ăn cho mọi dã thú trên mặt đất, chim trời và toàn thể sinh vật di chuyển trên mặt đất”. Và đã xảy ra như vậy. Thiên Chúa thấy mọi sự Người đã làm rất tốt đẹp. Qua một buổi chiều và một buổi sáng: đó là ngày thứ sáu. Thế là trời đất và mọi vật trang điểm của chúng đã hoàn thành.\rNgày thứ bảy, Thiên Chúa đã hoàn tất công việc Người đã làm. Và sau khi hoàn tất công việc Người đã làm, thì ngày thứ bảy Người nghỉ ngơi. Người chúc phúc và thánh hoá ngày thứ bảy, vì trong ngày đó Người nghỉ việc tạo thành.\r Đó là Lời Chúa. \r.\rHoặc: Cl 3, 14-15. 17. 23-24\r“Tất cả những gì anh em thực hiện, anh em hãy thành tâm thực hiện như cho Thiên Chúa, chớ không phải cho người đời”.\rTrích thư của Thánh Phaolô Tông đồ gửi tín hữu Cô-lô-xê.\rAnh em thân mến, trên hết mọi sự, anh em hãy có đức yêu thương, đó là dây ràng buộc điều toàn thiện. Nguyện cho bình an của Chúa Ki-tô làm chủ trong lòng anh em, sự bình an mà anh em đã được kêu gọi tới để làm nên một thân thể. Anh em hãy cảm tạ Thiên Chúa.\rVà tất cả những gì anh em làm, trong lời nói cũng như trong hành động, tất cả mọi chuyện, anh em hãy làm vì danh Chúa Giê-su Ki-tô, nhờ Người mà tạ ơn Thiên Chúa Cha.\rTất cả những gì anh em thực hiện, anh em hãy thành tâm thực hiện như cho Thiên Chúa, chứ không phải cho người đời; vì anh em biết rằng anh em sẽ lãnh nhận phần thưởng gia nghiệp do Thiên Chúa trao ban, nên anh em hãy phục vụ Chúa Ki-tô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 2. 3-4. 12-13. 14 và 16","response":"Ðáp: Lạy Chúa, xin củng cố sự nghiệp tay chúng con làm ra. Hoặc đọc: Alleluia.","verses":["Xướng: Ôi Thiên Chúa, trước khi núi non sinh đẻ, trước khi địa cầu và vũ trụ nở ra, tự thuở này qua thuở kia, vẫn có Ngài.","Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Ngài phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chứ còn để tới bao giờ? Xin tỏ lòng xót thương tôi tớ của Ngài!","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con được mừng rỡ hân hoan trọn đời sống chúng con. Xin cho các bầy tôi nhìn thấy sự nghiệp của Chúa, và cho con cháu họ được thấy vinh quang Ngài."]},"alleluia":{"verse":"Tv 67, 20","content":"alleluia! – Chúc tụng Chúa trong mọi ngày, Thiên Chúa là Ðấng Cứu Ðộ chúng ta, Người vác lấy gánh nặng của chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 13, 54-58","info":"“Ông ta không phải là con bác phó mộc sao?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su trở về quê nhà, giảng dạy dân chúng trong hội đường, họ bỡ ngỡ và nói rằng: “Bởi đâu ông này khôn ngoan và tài giỏi như thế? Ông không phải là con bác thợ mộc ư? Mẹ ông không phải là bà Ma-ri-a? và Gia-cô-bê, Giu-se, Si-mon và Giu-đa không phải là anh em của ông sao? Và tất cả chị em của ông không phải ở nơi chúng ta đó sao? Vậy bởi đâu ông được mọi điều ấy như thế?” Và họ lấy làm gai chướng về Người. Nhưng Chúa Giê-su nói với họ: “Không có tiên tri nào được vinh dự nơi quê hương và nơi nhà mình”. Và Người không làm nhiều phép lạ tại đó, vì họ cứng lòng tin.","end":"Ðó là lời Chúa"}}
+    }
+});
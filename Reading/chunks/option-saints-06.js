@@ -0,0 +1,8 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-06", {
+    "OPTION_SAINT": {
+        "81106": {"firstReading":{"excerpt":"Cv 11, 21b-26; 13, 1-3","info":"“Họ cũng rao giảng Chúa Giêsu cho người Hy-lạp”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, có đông người tin trở về với Chúa. Tin đó thấu tai Hội Thánh Giêrusalem, nên người ta sai Barnaba đến Antiôkia. Khi đến nơi và thấy việc ơn Chúa thực hiện, ông vui mừng và khuyên bảo mọi người hãy vững lòng tin nơi Chúa; Barnaba vốn là người tốt lành, đầy Thánh Thần và lòng tin. Và có đoàn người đông đảo tin theo Chúa. Vậy Barnaba đi Tarxê tìm Saolô. Gặp được rồi, liền đưa Saolô về Antiôkia. Cả hai ở lại tại Hội Thánh đó trọn một năm, giảng dạy cho quần chúng đông đảo; chính tại Antiôkia mà các môn đệ lần đầu tiên nhận tên là “Kitô hữu”.\rBấy giờ trong hội thánh Antiôkia có những tiên tri và tiến sĩ, trong số đó có Barnaba, Simon cũng gọi là Nigê, Luxiô người thành Xyrênê, Manahê bạn của vua Hêrôđê lúc còn thư ấu, và Saolô.\rÐang khi các ông làm việc thờ phượng Chúa và ăn chay, thì Thánh Thần phán bảo các ông rằng: “Hãy để riêng Saolô và Barnaba cho Ta, để làm công việc mà Ta đã chỉ định”. Vậy sau khi ăn chay cầu nguyện, họ đặt tay trên hai ông và tiễn đưa hai ông lên đường.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3a. 3cd-4. 5-6","response":"Ðáp: Chúa đã công bố ơn cứu độ trước mặt chư dân (c. 2a).","verses":["Xướng: Hãy ca tụng Chúa một bài ca mới, vì Người đã thực hiện những việc lạ lùng. Tay mặt Người đã đem lại toàn thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ, đã tỏ sự công chính Người trước mặt chư dân. Người đã nhớ lại lòng nhân hậu và trung thành đối nhà Israel..","Xướng: Mọi dân trên khắp cùng bờ cõi trái đất đã nhìn thấy ơn cứu độ của Thiên Chúa chúng tôi. Toàn thể địa cầu hãy hân hoan mừng Chúa, hãy vui mừng hoan lạc và đàn ca.","Xướng: Hãy ca mừng Chúa với đàn cầm thụ, với đàn cầm thụ, với nhạc cụ râm ran: Hãy thổi sáo và rúc tù và, hân hoan trước thánh nhan Chúa là Vua."]},"alleluia":{"verse":" ","content":"alleluia! – Chúng con ca ngợi Thiên Chúa, chúng con tuyên xưng Chúa; lạy Chúa, ca đoàn vinh quang của các Tông đồ ca ngợi Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 10, 7-13","info":"“Các con đã lãnh nhận nhưng không, thì hãy cho nhưng không“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Các con hãy đi rao giảng rằng: Nước Trời đã gần đến. Hãy chữa những bệnh nhân, hãy làm cho kẻ chết sống lại, hãy làm cho những kẻ phong cùi được sạch và hãy trừ quỷ: Các con đã lãnh nhận nhưng không thì hãy cho nhưng không.\r“Các con chớ mang vàng, bạc, tiền nong trong đai lưng, chớ mang bị đi đường, chớ đem theo hai áo choàng, chớ mang giày dép và gậy gộc: vì thợ thì đáng được nuôi ăn. Khi các con vào thành hay làng nào, hãy hỏi ở nơi đó ai là người xứng đáng, thì ở lại đó cho tới lúc ra đi.\r“Khi vào nhà nào, các con hãy chào rằng: “Bình an cho nhà này”. Nếu nhà ấy xứng đáng thì sự bình an của các con sẽ đến với nhà ấy; còn nếu nhà ấy không xứng đáng, thì sự bình an của các con sẽ trở về với các con”.","end":"Ðó là lời Chúa"}},
+        "82306": {"firstReading":{"excerpt":"Gr 1, 4-10","info":"“Trước khi tạo thành ngươi trong lòng mẹ, Ta đã biết ngươi”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Có lời Chúa phán cùng tôi rằng: “Trước khi tạo thành ngươi trong lòng mẹ, Ta đã biết ngươi, và trước khi ngươi ra khỏi lòng mẹ, Ta đã hiến thánh ngươi, Ta đã đặt ngươi làm tiên tri cho các dân tộc”. Và tôi đã thưa lại: “A, a, a, lạy Chúa là Thiên Chúa, con đâu có biết ăn nói, vì con còn con nít”.\rNhưng Chúa phán cùng tôi rằng: “Ngươi đừng nói: “Con là con nít”, vì ngươi sẽ đi đến với những kẻ Ta sẽ sai ngươi đi, ngươi sẽ nói mọi điều Ta sẽ truyền dạy ngươi nói. Ngươi đừng sợ họ, vì Ta sẽ ở với ngươi để bảo vệ ngươi”. Chúa phán như thế.\rVà Chúa giơ tay sờ miệng tôi mà nói với tôi rằng: “Ðây Ta đặt lời Ta vào miệng ngươi. Ðây hôm nay Ta ban quyền cho ngươi trên các dân tộc và trên các vương quốc, để ngươi lật đổ và đập phá, phân tán và tiêu diệt, xây dựng và vun trồng”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15 và 17","response":"Ðáp: Từ trong thai mẫu, Chúa là Ðấng bảo vệ con (c. 6b).","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con tủi hổ muôn đời. Theo đức công minh Chúa, xin cứu nguy và giải thoát con; xin ghé tai về bên con và giải cứu.","Xướng: Xin trở nên thạch động để con dung thân, và chiến lũy vững bền hầu cứu độ con: vì Chúa là Ðá tảng, là chiến luỹ của con. Lạy Chúa con, xin cứu con khỏi tay đứa ác.","Xướng: Bởi Ngài là Ðấng con mong đợi, thân lạy Chúa; lạy Chúa, Ngài là hy vọng của con từ hồi thanh xuân. Ngay từ trong bụng mẹ, con đã nép mình vào Chúa; từ trong thai mẫu con, Chúa là Ðấng bảo vệ con; con đã luôn luôn trông cậy vào Chúa.","Xướng: Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày kể ra ơn Ngài giúp đỡ, thực con không sao mà kể cho cùng. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể những sự lạ của Ngài."]},"secondReading":{"excerpt":"1 Pr 1, 8-12","info":"“Chính ơn cứu rỗi này là đối tượng các tiên tri đã nghiên cứu và tìm hiểu”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, anh em yêu mến Chúa Giêsu Kitô, dù không thấy Người, và anh em tin Ngài, dù bây giờ anh em cũng không thấy Người, bởi anh em tin, anh em sẽ được vui mừng vinh quang khôn tả, vì chắc rằng anh em đạt tới cứu cánh của đức tin là phần rỗi linh hồn.\rChính ơn cứu rỗi này là đối tượng các tiên tri đã nghiên cứu và tìm hiểu, khi các ngài tiên báo về ân sủng dành cho anh em: các ngài đã tìm xem coi trong thời gian nào, hoặc hoàn cảnh nào Thần Trí của Ðức Kitô chỉ cho các ngài biết phải tiên báo những khổ nạn và những vinh quang kế tiếp dành cho Ðức Kitô. Các ngài được mạc khải cho biết rằng các ngài không phải phục vụ chính mình, mà là cho anh em, trong những gì đã được loan truyền cho anh em hiện nay, do những kẻ rao giảng Tin Mừng với sự trợ giúp của Thánh Thần từ trời được sai xuống, Ðấng mà các thiên thần cũng ước ao nghiêng mình chiêm bái.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 7; Lc 1, 17","content":"Alleluia, Alleluia,  Alleluia.-Ông đến để chứng minh về sự sáng; để chuẩn bị cho Chúa một dân tộc hoàn hảo. – Alleluia."},"gospel":{"excerpt":"Lc 1, 5-17","info":"“Vợ ngươi sẽ sinh hạ cho ngươi một con trai, và ngươi sẽ gọi tên con trẻ là Gioan”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vào thời Hêrôđê làm vua xứ Giuđêa, có một tư tế tên là Dacaria, thuộc phiên ban Abia, và vợ ông bởi dòng dõi Aaron, tên là Elisabéth. Cả hai là người công chính trước mặt Thiên Chúa, ăn ở theo mọi giới răn và lề luật của Chúa, không ai trách được điều gì. Nhưng họ lại không con, vì Elisabéth son sẻ, và cả hai đã đến tuổi già.\rXảy ra khi Giacaria chu toàn chức vụ tư tế trước mặt Thiên Chúa, theo lượt của phiên mình như tục lệ hàng tư tế, ông bắt thăm và trúng việc vào cung thánh Chúa mà dâng hương, đang lúc toàn thể đám đông dân chúng cầu nguyện bên ngoài, trong giờ dâng hương. Bấy giờ thiên thần Chúa hiện ra cùng ông, đứng bên phải hương án. Giacaria thấy vậy thì hoảng hốt, sự kinh hoàng đột nhập vào ông.\rNhưng thiên thần nói với ông rằng: “Dacaria, đừng sợ, vì lời ngươi cầu nguyện đã được nhậm rồi. Elisabéth vợ ngươi sẽ sinh hạ cho ngươi một con trai, và ngươi sẽ gọi tên con trẻ là Gioan. Ngươi sẽ được vui mừng hân hoan, và nhiều người cũng sẽ vui mừng, vì việc con trẻ sinh ra. Vì trẻ này sẽ nên cao trọng trước mặt Chúa, sẽ không uống rượu và thức có men; sẽ được tràn đầy Thánh Thần ngay từ lòng mẹ, sẽ đem nhiều con cái Israel trở về cùng Chúa là Thiên Chúa. Trẻ này sẽ đi trước Người, trong thần trí và quyền lực của Êlia, để đổi lòng dạ cha ông về với con cháu, kẻ ngỗ nghịch về lại với lương tri của những người công chính, dọn cho Chúa một đoàn dân chuẩn bị sẵn sàng”.","end":"Ðó là lời Chúa"}},
+        "82806": {"firstReading":{"excerpt":"Cv 3, 1-10","info":"“Tôi có cái này tôi cho anh là: nhân danh Đức Giêsu, anh hãy đứng dậy mà đi”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, vào giờ thứ chín, là giờ cầu nguyện, Phêrô và Gioan lên đền thờ. Lúc bấy giờ có một anh què từ lúc mới sinh, hằng ngày được người ta khiêng đến cửa đền thờ, gọi là cửa Đẹp, để xin những người vào đền thờ bố thí cho. Khi thấy Phêrô và Gioan tiến vào đền thờ, anh liền xin bố thí. Phêrô và Gioan nhìn anh và nói: “Anh hãy nhìn chúng tôi”. Anh ngước mắt chăm chú nhìn hai ngài, mong sẽ được hai ngài cho cái gì. Nhưng Phêrô nói: “Vàng bạc thì tôi không có, nhưng có cái này tôi cho anh là: nhân danh Đức Giêsu Kitô Nadarét, anh hãy đứng dậy mà đi!”\rRồi Phêrô nắm tay mặt anh mà kéo dậy, tức thì mắt cá và bàn chân anh trở nên cứng cát; anh nhảy ngay lên mà đứng và đi được; anh cùng hai ngài tiến vào đền thờ, anh vừa đi vừa nhảy nhót và ngợi khen Thiên Chúa, và dân chúng đều thấy anh đi và ngợi khen Chúa. Họ nhận ra anh chính là kẻ ngồi ăn xin ở cửa Đẹp đền thờ, nên họ bỡ ngỡ và sửng sốt về việc xảy đến cho anh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Đáp: Tiếng chúng đã vang cùng trái đất","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa; thanh không kể ra sự nghiệp của Người. Ngày này nhắc nhủ cho ngày khác; đêm này truyền tụng cho đêm kia. – Đáp.","Xướng: Đây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu. – Đáp."]},"secondReading":{"excerpt":"Gl 1, 11-20","info":"“Thiên Chúa đã tách riêng tôi từ lòng mẹ”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, tôi cho anh em biết rằng: Tin Mừng do tôi rao giảng không phải thuộc về loài người, vì tôi không nhận, cũng không học với loài người, nhưng là do Đức Giêsu Kitô mạc khải. Anh em nghe nói về đời sống của tôi trước kia khi theo đạo Do-thái: tôi đã bắt bớ và phá hoại Hội Thánh của Thiên Chúa thái quá: trong đạo Do-thái, tôi đã vượt hẳn nhiều bạn đồng giống nòi, đồng tuổi với tôi, và tôi nhiệt thành hơn bất cứ ai đối với truyền thống của cha ông tôi. Nhưng khi Đấng tách riêng tôi ra từ lòng mẹ, và dùng ơn Người mà kêu gọi tôi, để tôi rao giảng Người trong các dân ngoại, thì không lúc nào tôi bàn hỏi người xác thịt máu huyết, và tôi không lên Giêrusalem, để gặp các vị làm tông đồ trước tôi, nhưng tôi đi ngay đến Arabia, rồi lại trở về Đamas. Đoạn ba năm sau, tôi mới lên Giêrusalem để gặp Phêrô, và lưu lại với ông mười lăm ngày. Tôi không gặp một tông đồ nào khác, ngoài Giacôbê, anh em của Chúa. Đây trước mặt Thiên Chúa, tôi viết cho anh em những điều này, tôi cam kết rằng tôi không nói dối đâu.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 21, 17d","content":"Alleluia, Alleluia,  Alleluia. - Thưa Thầy, Thầy thông biết mọi sự: Thầy biết con yêu mến Thầy. – Alleluia."},"gospel":{"excerpt":"Ga 21, 15-19","info":"“Con hãy chăn dắt các chiên mẹ và chiên con của Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi Chúa Giêsu tỏ mình ra cho các môn đệ, Người dùng bữa với các ông, và hỏi Simon Phêrô rằng: “Simon, con ông Gioan, con có yêu mến Thầy hơn những người này không?” Ông đáp: “Thưa Thầy: Có, Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên con của Thầy”. Người lại hỏi: “Simon, con ông Gioan, con có yêu mến Thầy không?” Ông đáp: “Thưa Thầy: Có, Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên con của Thầy”. Người hỏi ông lần thứ ba: “Simon, con ông Gioan, con có yêu mến Thầy không?” Phêrô buồn phiền, vì thấy Thầy hỏi lần thứ ba: “Con có yêu mến Thầy không?” Ông đáp: “Thưa Thầy, Thầy biết mọi sự: Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên mẹ của Thầy. Thật, Thầy bảo thật cho con biết: khi con còn trẻ, con tự thắt lưng lấy và đi đâu mặc ý; nhưng khi con già, con sẽ giang tay ra, người khác sẽ thắt lưng cho con và dẫn con đến nơi con không muốn đến”. Chúa nói thế có ý ám chỉ Phêrô sẽ chết cách nào để làm sáng danh Thiên Chúa. Phán những lời ấy đoạn, Người bảo ông: “Con hãy theo Thầy”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,7 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-07", {
+    "OPTION_SAINT": {
+        "82607": {"firstReading":{"excerpt":"Hc 44, 1. 10-15","info":"“Miêu duệ họ tồn tại đến muôn đời”.","title":"Trích sách Huấn Ca.","content":"Chúng ta hãy ca tụng những vĩ nhân và các tổ phụ chúng ta qua các thời đại. Có những người nhân hậu, mà việc thiện của họ không bao giờ bị lãng quên. Dòng dõi họ được hưởng hạnh phúc, và họ sẽ có con cháu nối dòng, miêu duệ họ trung thành với lời giao ước và con cái họ nhờ họ cũng được trung thành. Miêu duệ họ sẽ tồn tại đến muôn đời, và vinh quang của họ không bao giờ bị lu mờ. Thân xác họ được chôn cất bình an, tên tuổi họ sẽ sống đời này qua đời nọ. Sự khôn ngoan của họ cộng đoàn truyền tụng, và công hội thuật lại lời ngợi khen họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 131, 11. 13-14. 17-18","response":"Ðáp: Chúa là Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người","verses":["Xướng: Chúa đã thề hứa cùng Ðavít một lời hứa quả quyết mà Người sẽ chẳng rút lời, rằng: “Ta sẽ đặt lên ngai báu của ngươi một người con cháu thuộc dòng giống ngươi”.","Xướng: Bởi chưng Chúa đã kén chọn Sion, đã thích lựa Sion làm nơi cư ngụ cho mình. Ngài phán: “Ðây là nơi nghỉ ngơi của Ta tới muôn đời, Ta sẽ cư ngụ nơi đây, vì Ta ưa thích”.","Xướng: Tại đó, Ta sẽ gầy dựng một uy quyền cho Ðavít, sẽ chuẩn bị ngọn đèn sáng cho người được Ta xức dầu. Ta sẽ bắt những kẻ thù ghét người tủi hổ, nhưng triều thiên của Ta chiếu sáng rực rỡ trên mình người."]},"alleluia":{"verse":"x. Lc 2, 25c","content":"alleluia! – Các ngài mong đợi niềm an ủi của Israel, và Thánh Thần ngự trong các ngài. – Alleluia."},"gospel":{"excerpt":"Mt 13, 16-17","info":"“Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Phúc cho mắt các con vì được thấy; và phúc cho tai các con vì được nghe. Quả thật, Thầy bảo các con: Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy, mà không được thấy; mong ước nghe điều các con nghe, mà không được nghe”.","end":"Ðó là lời Chúa"}},
+        "82907": {"firstReading":{"excerpt":"1 Ga 4, 7-16","info":"“Thiên Chúa thương yêu chúng ta trước”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, chúng ta phải thương yêu nhau, vì tình yêu bởi Thiên Chúa mà ra. Vì lẽ hễ ai thương yêu, thì đã sinh bởi Thiên Chúa, và nhận biết Thiên Chúa. Còn ai không yêu thương, thì không biết Thiên Chúa, vì Thiên Chúa là Tình Yêu.\rÐiều này biểu lộ tình yêu của Thiên Chúa đối với chúng ta: là Thiên Chúa chúng ta đã sai Con Một Người đến trong thế gian, để nhờ Ngài mà chúng ta được sống. Tình yêu ấy là thế này: Không phải chúng ta đã yêu mến Thiên Chúa, nhưng chính Người đã thương yêu chúng ta trước, và đã sai Con Một Người đến hy sinh, đền thay vì tội lỗi chúng ta.\rCác con thân mến, nếu Thiên Chúa thương yêu chúng ta dường ấy, thì chúng ta cũng phải thương yêu nhau. Chẳng ai thấy Thiên Chúa bao giờ, nếu chúng ta thương yêu nhau, thì Thiên Chúa ở trong chúng ta, và tình yêu của Người nơi chúng ta đã được tuyệt hảo. Do điều này mà chúng ta biết chúng ta ở trong Người và Người ở trong chúng ta: là Người đã ban Thánh Thần cho chúng ta. Và chúng ta đã thấy và chứng nhận rằng Chúa Cha đã sai Con mình làm Ðấng Cứu Thế.\rAi tuyên xưng Ðức Giê-su là Con Thiên Chúa, thì Thiên Chúa ở trong người ấy, và người ấy ở trong Thiên Chúa. Còn chúng ta, chúng ta đã biết và tin vào tình yêu của Thiên Chúa đối với chúng ta. Thiên Chúa là Tình Yêu, và ai ở trong tình yêu, thì ở trong Thiên Chúa, và Thiên Chúa ở trong người ấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao (c. 9a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhận lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng:  Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Thần Chúa hạ trại đồn binh, chung quanh những người kính sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao, phúc đức ai tìm nương tựa ở Người."]},"alleluia":{"verse":"x. Lc 2, 25c","content":"alleluia! – Chúa phán: “Ta là ánh sáng thế gian; ai theo Ta, sẽ có ánh sáng ban sự sống. – Alleluia."},"gospel":{"excerpt":"Ga 11, 19-27","info":"“Con đã tin Thầy là Ðấng Ki-tô, Con Thiên Chúa hằng sống”.","title":"Tin Mừng Chúa Giêsu Ki-tô theo Thánh Gio-an.","content":"Khi ấy, nhiều người Do-thái đến nhà Mác-ta và Ma-ri-a để an ủi hai bà vì người em đã chết. Khi hay tin Chúa Giê-su đến, Mác-ta đi đón Người, còn Ma-ri-a vẫn ngồi nhà. Mác-ta thưa Chúa Giê-su: “Thưa Thầy, nếu Thầy có mặt ở đây thì em con không chết. Tuy nhiên, ngay cả bây giờ, con biết Thầy xin gì cùng Thiên Chúa, Thiên Chúa cũng sẽ ban cho Thầy”. Chúa Giê-su nói: “Em con sẽ sống lại”. Mác-ta thưa: “Con biết ngày tận thế, khi kẻ chết sống lại, thì em con sẽ sống lại”. Chúa Giê-su nói: “Ta là sự sống lại và là sự sống, ai tin Ta, dầu có chết cũng sẽ được sống. Và kẻ nào sống mà tin Ta, sẽ không chết bao giờ. Con có tin điều đó không?” Bà thưa: “Thưa Thầy: vâng, con đã tin Thầy là Ðấng Ki-tô, Con Thiên Chúa hằng sống đã đến trong thế gian”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,8 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-08", {
+    "OPTION_SAINT": {
+        "81408": {"firstReading":{"excerpt":"1 V 17, 17-24","info":"“Ðây, con trai bà sống lại rồi đây”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, con trai bà chủ nhà đau liệt, cơn bệnh nguy kịch đến nỗi chẳng còn hơi thở. Bà ấy liền nói với Êlia rằng: “Thưa người của Thiên Chúa, giữa tôi với ông có liên can gì? Ông đến nhà tôi để khơi lại những tội của tôi và giết chết con tôi sao?” Êlia đáp lại: “Bà hãy giao con bà cho tôi”. Rồi ông bế lấy đứa trẻ từ lòng mẹ nó, mang lên trên lầu nơi ông cư trú và đặt nó lên giường ông. Ðoạn ông kêu lên cùng Chúa rằng: “Lạy Chúa là Thiên Chúa của con, cớ sao Chúa giáng hoạ, giết con trai bà chủ nhà, nơi con cư ngụ đây?” Ông ấp mình ba lần trên đứa trẻ và kêu lên cùng Chúa rằng: “Lạy Chúa là Thiên Chúa của con, con xin Chúa cho linh hồn đứa trẻ này trở về trong nó”. Và Chúa nhậm lời Êlia, cho hồn nhập lại đứa trẻ, và nó sống lại. Êlia liền ẵm đứa trẻ xuống nhà dưới, trao lại cho mẹ nó và nói rằng: “Ðây, con trai bà sống lại rồi đây”. Bà ta thưa cùng Êlia rằng: “Bây giờ nhờ việc này, tôi biết rõ ông là người của Thiên Chúa, và lời của Chúa nơi miệng ông là lời chân thật”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b.","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con (c. 2a).","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Ngài đã đưa linh hồn con thoát xa Âm phủ, Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Chúa, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ lâu trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời. Chiều hôm có gặp cảnh lệ rơi, nhưng sáng mai lại được mừng vui hoan hỉ.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con; lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con; lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"secondReading":{"excerpt":"Gl 1, 11-19","info":"“Người đã mạc khải cho tôi biết Con của Người, để tôi rao giảng Người cho dân ngoại”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, tôi cho anh em biết rằng Tin Mừng do tôi rao giảng không phải thuộc về loài người, vì tôi không nhận, cũng không học với loài người, nhưng là do Ðức Giêsu Kitô mạc khải. Anh em nghe nói về đời sống của tôi trước kia khi theo đạo Do-thái: tôi đã bắt bớ và phá hoại Hội thánh của Thiên Chúa thái quá. Trong đạo Do-thái, tôi đã vượt hẳn nhiều bạn đồng giống nòi, đồng tuổi với tôi, và tôi nhiệt thành hơn bất cứ ai đối với truyền thống của cha ông tôi.\rNhưng khi Ðấng tách riêng tôi ra từ lòng mẹ và dùng ơn Người mà kêu gọi tôi, đã thương mạc khải Con Người trong tôi, để tôi rao giảng Ngài trong các dân ngoại, thì không lúc nào tôi bàn hỏi người xác thịt máu huyết, và tôi không lên Giêrusalem, để gặp các vị làm tông đồ trước tôi, nhưng tôi đi ngay đến Arabia, rồi lại trở về Ðamas. Ðoạn ba năm sau, tôi mới lên Giêrusalem để gặp Phêrô, và lưu lại với ông mười lăm ngày. Tôi không gặp một tông đồ nào khác, ngoài Giacôbê, anh em của Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 4b","content":"Alleluia, Alleluia,  Alleluia.-Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 7, 11-17","info":"“Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đến một thành gọi là Naim. Các môn đệ và đám đông dân chúng cùng đi với Người. Khi Người đến gần cửa thành, thì gặp người ta đang khiêng đi chôn người con trai duy nhất của một bà goá kia, và có đám đông dân thành đi đưa xác với mẹ nó. Trông thấy bà, Chúa động lòng thương và bảo bà rằng: “Ðừng khóc nữa”. Ðoạn tiến lại gần, Người chạm đến quan tài và những người khiêng đứng lại. Bấy giờ Người phán: “Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”. Người chết liền ngồi lên và bắt đầu nói. Rồi Người trao lại cho mẹ nó. Mọi người đều sợ hãi và ngợi khen Thiên Chúa rằng: “Một tiên tri cao cả đã xuất hiện giữa chúng ta, và Thiên Chúa đã thăm viếng dân Người”. Và việc này đã loan truyền danh tiếng Người trong toàn cõi Giuđêa và khắp vùng lân cận.","end":"Ðó là lời Chúa"}},
+        "82208": {"firstReading":{"excerpt":"Is 9, 2-4. 6-7","info":"“Chúa ban Con của Người cho chúng ta”.","title":"Trích sách Tiên tri Isaia.","content":"Dân tộc bước đi trong u tối, đã nhìn thấy sự sáng chứa chan. Sự sáng đã bừng lên trên những người cư ngụ miền thâm u sự chết. Chúa đã làm cho dân tộc nên vĩ đại, há chẳng làm vĩ đại niềm vui? Họ sẽ vui mừng trước nhan Chúa, như thiên hạ mừng vui trong mùa gặt lúa, như những người thắng trận hân hoan vì chiến lợi phẩm, khi đem của chiếm được về phân chia. Vì cái ách nặng nề trên người nó, cái gông nằm trên vai nó, cái vương trượng quyền của kẻ áp bức. Chúa sẽ nghiền nát ra, như trong ngày chiến thắng Mađian. {Bởi lẽ mọi chiếc giày đi lộp cộp của kẻ chiến thắng, mọi chiếc áo nhuộm đẫm máu đào, sẽ bị đốt đi và trở nên mồi nuôi lửa.}\rBởi lẽ một hài nhi đã sinh ra cho chúng tôi, và một người con đã được ban tặng chúng tôi. Người đã gánh nhận vương quyền trên vai, và thiên hạ sẽ gọi tên Người là “Cố vấn kỳ diệu, Thiên Chúa huy hoàng, Người Cha Muôn Thuở, Ông Vua Thái Bình”.\rNgười sẽ mở rộng vương quyền, và cảnh thái bình sẽ vô tận; Người sẽ ngự trên ngai vàng của Ðavít và trong vương quốc Người, để củng cố và tăng cường, trong sự công minh chính trực, ngay tự bây giờ và cho đến muôn đời. Lòng ghen yêu của Chúa thiên binh sẽ thực thi điều đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6. 7-8","response":"Ðáp: Nguyện danh Chúa được chúc tụng, từ bây giờ và cho đến muôn đời (c. 2).","verses":["Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa. Nguyện danh Chúa được chúc tụng, từ bây giờ và cho đến muôn đời.","Xướng: Từ mặt trời mọc lên tới khi lặn xuống, nguyện cho danh Chúa được ngợi khen. Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời là vinh quang của Chúa.","Xướng: Ai được như Thiên Chúa chúng tôi, Người ngự trên nơi cao thẳm, và Người để mắt nhìn coi, khắp cả trên trời dưới đất?- Ðáp.","Xướng: Người nâng cao kẻ túng thiếu từ chỗ bụi tro, và cất nhắc bạn cơ bần từ nơi phẩn thổ, hầu cho họ ngồi với những bậc quân vương, với những bậc quân vương của dân Người."]},"alleluia":{"verse":" ","content":"alleluia! – Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Bà, Bà được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh Nữ sẽ thụ thai và sinh hạ một Con trai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, thiên thần Gabriel được Chúa sai đến một thành xứ Galilêa, tên là Nadarét, đến với một Trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ðavít, Trinh nữ ấy tên là Maria. Thiên thần vào nhà Trinh nữ và chào rằng:\r“Kính chào Bà đầy ơn phúc, Thiên Chúa ở cùng Bà, Bà được chúc phúc giữa các người phụ nữ”. Nghe lời đó, Bà bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Maria đừng sợ, vì đã được nghĩa với Chúa. Này Bà sẽ thụ thai, sinh một Con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Giacóp, và triều đại Người sẽ vô tận”. Nhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với Bà và uy quyền Ðấng Tối Cao sẽ bao trùm Bà. Vì thế, Ðấng Bà sinh ra sẽ là Ðấng Thánh, và đưọc gọi là Con Thiên Chúa. Và này, Isave chị họ Bà cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMaria liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời thiên thần truyền”. Và thiên thần cáo biệt Bà. \r Đó là Lời Chúa. \r.  rHoặc: Lc 1, 39-47\r“Phúc cho Bà là kẻ đã tin”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Luca.\rNgày ấy, Maria chỗi dậy, vội vả ra đi tiến lên miền núi, đến một thành xứ Giuđêa. Bà vào nhà ông Giacaria và chào bà Êlisabeth. Và khi bà Êlisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Êlisabeth được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng: “Bà được chúc phúc giữa các người phụ nữ và con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm tôi? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rBà Maria nói rằng: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi”.","end":"Ðó là lời Chúa"}},
+        "82908": {"firstReading":{"excerpt":"Gr 1, 17-19","info":"“Ngươi hãy nói cho họ biết tất cả những điều Ta truyền dạy cho ngươi: Ðừng run sợ trước mặt họ”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Trong những ngày ấy, lời Chúa phán cùng tôi rằng: “Ngươi hãy thắt lưng, hãy chỗi dậy, và nói cho họ biết tất cả những điều Ta truyền dạy cho ngươi. Ðừng run sợ trước mặt họ, vì Ta không làm cho ngươi kinh hãi trước mặt họ. Hôm nay Ta làm cho ngươi nên một thành trì vững chắc, một cây cột bằng sắt, một vách thành bằng đồng trước mặt các vua Giuđa, các hoàng tử, các tư tế và dân chúng xứ này. Họ sẽ chiến đấu chống ngươi, nhưng họ không thắng được ngươi, vì Ta ở với ngươi để giải thoát ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","response":"Ðáp: Miệng con sẽ loan truyền sự Chúa công minh","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con tủi hổ muôn đời; theo đức công minh Chúa, xin cứu nguy và giải thoát con, xin ghé tai về bên con và giải cứu.","Xướng: Xin trở nên thạch động để con dung thân, và chiến luỹ vững bền hầu cứu độ con: vì Chúa là Ðá Tảng, là chiến luỹ của con. Lạy Chúa con, xin cứu con khỏi tay đứa ác.","Xướng: Bởi Ngài là Ðấng con mong đợi, thân lạy Chúa! Lạy Chúa, Ngài là hy vọng của con từ hồi thanh xuân. Ngay từ trong bụng mẹ, con đã nép mình vào Chúa; từ trong thai mẫu, Chúa là Ðấng bảo vệ con; con đã luôn luôn cậy trông vào Chúa.","Xướng: Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày kể ra ơn Ngài giúp đỡ. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể (ra) những sự lạ của Ngài."]},"alleluia":{"verse":"Mt 5, 10","content":"alleluia! – Phúc cho những ai bị bách hại vì lẽ công chính, vì nước trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mc 6, 17-29","info":"“Con muốn đức vua ban ngay cho con cái đầu của Gioan Tẩy Giả đặt trên đĩa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Hêrôđê đã sai đi bắt Gioan và giam ông trong ngục: nguyên do tại Hêrôđia, vợ của Philipphê anh vua mà vua đã cưới lấy. Vì Gioan bảo Hêrôđê: “Nhà vua không được phép chiếm lấy vợ anh mình”. Phần Hêrôđia, nàng toan mưu và muốn giết ông, nhưng không thể làm gì được, vì Hêrôđê kính nể Gioan, biết ông là người chính trực và thánh thiện, và giữ ông lại. Nghe ông nói, vua rất phân vân, nhưng lại vui lòng nghe.\rDịp thuận tiện xảy đến vào ngày sinh nhật Hêrôđê, khi vua thết tiệc các quan đại thần trong triều, các sĩ quan và những người vị vọng xứ Galilêa. Khi con gái nàng Hêrôđia tiến vào nhảy múa, làm đẹp lòng Hêrôđê và các quan khách, thì vua liền nói với thiếu nữ ấy rằng: “Con muốn gì, cứ xin, trẫm sẽ cho”, và vua thề rằng: “Con xin bất cứ điều gì, dù là nửa nước, trẫm cũng cho”. Cô ra hỏi mẹ: “Con nên xin gì?” Mẹ cô đáp: “Xin đầu Gio-an Tẩy Giả”. Cô liền vội vàng trở vào xin vua: “Con muốn đức vua ban ngay cho con cái đầu Gioan Tẩy Giả đặt trên đĩa”. Vua buồn lắm, nhưng vì lời thề và vì có các quan khách, nên không muốn làm cho thiếu nữ đó buồn. Và lập tức, vua sai một thị vệ đi lấy đầu Gioan và đặt trên đĩa. Viên thị vệ liền đi vào ngục chặt đầu Gioan, và đặt trên đĩa trao cho thiếu nữ, và thiếu nữ đem cho mẹ.\rNghe tin ấy, các môn đệ Gioan đến lấy xác ông và mai táng trong mồ.","end":"Ðó là lời Chúa"}}
+    }
+});
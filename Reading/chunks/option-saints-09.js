@@ -0,0 +1,7 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-09", {
+    "OPTION_SAINT": {
+        "80209": {"firstReading":{"excerpt":"Xh 23, 20-23a","info":"“Thiên thần của Ta đi trước mặt ngươi”.","title":"Trích sách Xuất Hành.","content":"Ðây Chúa phán: “Này Ta sẽ sai thiên thần Ta đi trước mặt ngươi, gìn giữ ngươi khi đi đàng, và dẫn đưa ngươi đến nơi Ta đã dọn sẵn cho ngươi. Ngươi hãy ăn ở cẩn thận trước mặt người, hãy nghe lời người, và chớ cả lòng khi dể người: vì người sẽ không tha thứ cho ngươi khi ngươi phạm lỗi, bởi người mang lấy danh Ta trong người. Nếu ngươi nghe lời người, và tuân giữ tất cả những gì Ta truyền dạy, thì Ta sẽ là địch thù của những kẻ thù nghịch ngươi, và Ta sẽ trừng phạt những kẻ uy hiếp ngươi. Thiên thần Ta sẽ đi trước mặt ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","response":"Ðáp: Chúa đã lệnh cho các thiên thần săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường","verses":["Xướng: Bạn sống trong sự che chở của Ðấng Tối Cao; bạn cư ngụ dưới bóng của Ðấng Toàn Năng. Hãy thưa cùng Chúa: “Chúa là chiến luỹ nơi con nương náu; lạy Chúa con, con tin cậy ở Ngài”.","Xướng: Vì Chính Người sẽ cứu bạn thoát lưới dò của kẻ bẫy chim, và thoát khỏi quan ôn tác hại. Người sẽ che chở bạn trong bóng cánh của Người, và dưới cánh Người, bạn sẽ nương thân: lòng trung tín của Người là mã giáp và khiên thuẫn.","Xướng: Bạn không còn sợ hãi cảnh kinh dị ban đêm, cũng không còn e ngại mũi tên ban ngày bay tới; không còn sợ quan ôn trong bóng tối lang thang, cũng không còn lo dịch tễ vào buổi trưa sát hại.","Xướng: Tai nạn không đến gần được bạn, và oan ương không bén bảng tới nhà bạn ở. Vì Chúa đã lệnh cho thiên thần Người săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường."]},"alleluia":{"verse":"Tv 102, 21","content":"alleluia! – Hãy chúc tụng Chúa đi, chư binh toàn thể, chư vị thần hạ thừa hành ý muốn của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-5. 10","info":"“Các thiên thần của họ trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến bên Chúa Giêsu mà hỏi rằng: “Thưa Thầy, ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời. Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},
+        "81509": {"firstReading":{"excerpt":"Dt 5, 7-9","info":"“Người đã học vâng phục và đã trở nên căn nguyên ơn cứu độ đời đời”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, khi còn sống ở đời này, Chúa Kitô đã lớn tiếng và rơi lệ dâng lời cầu xin khẩn nguyện lên Ðấng có thể cứu mình khỏi chết, và vì lòng thành tín, Người đã được nhậm lời. Dầu là Con Thiên Chúa, Người đã học vâng phục do những đau khổ Người chịu, và khi hoàn tất, Người đã trở nên căn nguyên ơn cứu độ đời đời cho tất cả những kẻ tùng phục Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 2-3a. 3bc-4. 5-6. 15-18. 19","response":"Ðáp: Lạy Chúa, xin cứu sống con theo lượng từ bi của Chúa","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con muôn đời tủi hổ; vì đức công minh Ngài, xin cứu chữa con! Xin Chúa hãy lắng tai về bên tôi tớ Chúa.","Xướng: Xin Chúa mau lẹ để giải thoát con. Xin Chúa trở thành núi đá cho con trú ẩn. Bởi Chúa là Ðá tảng, là chiến luỹ của con; vì uy danh Ngài, Ngài sẽ dìu dắt và hướng dẫn con.","Xướng: Ngài dẫn con xa lưới dò chúng ngầm trương ra để hại con, vì Ngài là chỗ con nương náu. Con phó thác tâm hồn trong tay Chúa; lạy Chúa, lạy Thiên Chúa trung thành, xin cứu chữa con.","Xướng: Phần con, lạy Chúa, con tin cậy ở Ngài; con kêu lên: Ngài là Thiên Chúa của con! Vận mạng con ở trong tay Ngài, xin cứu gỡ con khỏi tay quân thù và những người bách hại.","Xướng: Lạy Chúa, vĩ đại thay lòng nhân hậu Chúa, lòng nhân hậu Ngài dành để cho những kẻ kính sợ Ngài, lòng nhân hậu Ngài ban cho những ai tìm nương tựa Ngài, ngay trước mặt con cái người ta."]},"alleluia":{"verse":" ","content":"alleluia! – Ðức Trinh Nữ Maria là người có phúc, Bà xứng đáng lãnh nhận ngành lá tử đạo dưới chân Thập giá Chúa mà không phải chết. – Alleluia."},"gospel":{"excerpt":"Ga 19, 25-27 (Lc 2, 33-35)","info":"“Bà mẹ hiền nhìn xem nỗi khổ hình của người con chí thánh mà đau lòng thổn thức tâm can”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, đứng gần thập giá Chúa Giêsu có Mẹ Người, cùng với chị Mẹ Người là Maria vợ ông Clopas, và Maria Mađalêna. Khi thấy Mẹ và bên cạnh có môn đệ Người yêu, Chúa Giêsu thưa cùng Mẹ rằng: “Thưa Bà, này là Con Bà”. Rồi Người lại nói với môn đệ: “Này là Mẹ con”. Và từ giờ ấy, môn đệ đã lãnh nhận Bà về nhà mình.\r Đó là Lời Chúa. \rHoặc đọc: Lc 2, 33-35\r“Một lưỡi gươm sẽ đâm thấu tâm hồn Bà”.\rTin Mừng Chúa Giêsu Kitô theo thánh Luca.\rKhi ấy, cha và mẹ Chúa Giêsu đều kinh ngạc về những điều đã nói về Người. Simêon chúc lành cho hai ông bà, và nói với Maria Mẹ Người rằng: “Ðây trẻ này được đặt lên, khiến cho nhiều người trong Israel phải sụp đổ hay được đứng dậy, và cũng để làm mục tiêu cho người ta chống đối. Về phần Bà, một lưỡi gươm sẽ đâm thấu tâm hồn Bà, để tâm tư nhiều tâm hồn được biểu lộ”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,8 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-10", {
+    "OPTION_SAINT": {
+        "80210": {"firstReading":{"excerpt":"Xh 23, 20-23a","info":"“Thiên thần của Ta đi trước mặt ngươi”.","title":"Trích sách Xuất Hành.","content":"Ðây Chúa phán: “Này Ta sẽ sai thiên thần Ta đi trước mặt ngươi, gìn giữ ngươi khi đi đàng, và dẫn đưa ngươi đến nơi Ta đã dọn sẵn cho ngươi. Ngươi hãy ăn ở cẩn thận trước mặt người, hãy nghe lời người, và chớ cả lòng khi dể người: vì người sẽ không tha thứ cho ngươi khi ngươi phạm lỗi, bởi người mang lấy danh Ta trong người. Nếu ngươi nghe lời người, và tuân giữ tất cả những gì Ta truyền dạy, thì Ta sẽ là địch thù của những kẻ thù nghịch ngươi, và Ta sẽ trừng phạt những kẻ uy hiếp ngươi. Thiên thần Ta sẽ đi trước mặt ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","response":"Ðáp: Chúa đã lệnh cho các thiên thần săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường","verses":["Xướng: Bạn sống trong sự che chở của Ðấng Tối Cao; bạn cư ngụ dưới bóng của Ðấng Toàn Năng. Hãy thưa cùng Chúa: “Chúa là chiến luỹ nơi con nương náu; lạy Chúa con, con tin cậy ở Ngài”.","Xướng: Vì Chính Người sẽ cứu bạn thoát lưới dò của kẻ bẫy chim, và thoát khỏi quan ôn tác hại. Người sẽ che chở bạn trong bóng cánh của Người, và dưới cánh Người, bạn sẽ nương thân: lòng trung tín của Người là mã giáp và khiên thuẫn.","Xướng: Bạn không còn sợ hãi cảnh kinh dị ban đêm, cũng không còn e ngại mũi tên ban ngày bay tới; không còn sợ quan ôn trong bóng tối lang thang, cũng không còn lo dịch tễ vào buổi trưa sát hại.","Xướng: Tai nạn không đến gần được bạn, và oan ương không bén bảng tới nhà bạn ở. Vì Chúa đã lệnh cho thiên thần Người săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường."]},"alleluia":{"verse":"Tv 102, 21","content":"Alleluia,Alleluia, alleluia! – Hãy chúc tụng Chúa đi, chư binh toàn thể, chư vị thần hạ thừa hành ý muốn của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-5. 10","info":"“Các thiên thần của họ trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến bên Chúa Giêsu mà hỏi rằng: “Thưa Thầy, ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời. Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},
+        "80710": {"firstReading":{"excerpt":"Cv 1: 12-14","info":"“Các Tông Đồ chuyên cần cầu nguyện cùng với bà Ma-ri-a, thân mẫu Đức Giê-su.","title":"Bài trích sách Công vụ Tông Đồ.","content":"Bấy giờ các ông từ núi gọi là núi Ô-liu trở về Giê-ru-sa-lem. Núi này ở gần Giê-ru-sa-lem, cách đoạn đường được phép đi trong ngày sa bát. Trở về nhà, các ông lên lầu trên, là nơi các ông trú ngụ. Đó là các ông: Phê-rô, Gio-an, Gia-cô-bê, An-rê, Phi-líp-phê, Tô-ma, Ba-tô-lô-mê-ô, Mát-thêu, Gia-cô-bê con ông An-phê, Si-môn thuộc nhóm Quá Khích, và Giu-đa con ông Gia-cô-bê. Tất cả các ông đều đồng tâm nhất trí, chuyên cần cầu nguyện cùng với mấy người phụ nữ, với bà Ma-ri-a thân mẫu Đức Giê-su, và với anh em của Đức Giê-su.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1,46-47.48-49.50-51.52-53.54-55 ","response":"Ðáp: Đấng Toàn Năng đã làm cho tôi biết bao điều cao cả, danh Người thật chí thánh chí tôn!","verses":["Xướng: Linh hồn tôi ngợi khen Đức Chúa, thần trí tôi hớn hở vui mừng vì Thiên Chúa, Đấng cứu độ tôi.","Xướng: Phận nữ tỳ hèn mọn, Người đoái thương nhìn tới; từ nay, hết mọi đời sẽ khen tôi diễm phúc. Đấng Toàn Năng đã làm cho tôi biết bao điều cao cả, danh Người thật chí thánh chí tôn!","Xướng: Đời nọ tới đời kia, Chúa hằng thương xót những ai kính sợ Người. Chúa giơ tay biểu dương sức mạnh, dẹp tan phường lòng trí kiêu căng.","Xướng: Chúa hạ bệ những ai quyền thế, Người nâng cao mọi kẻ khiêm nhường. Kẻ đói nghèo, Chúa ban của đầy dư, người giàu có, lại đuổi về tay trắng.","Xướng: Chúa độ trì Ít-ra-en, tôi tớ của Người, như đã hứa cùng cha ông chúng ta, vì Người nhớ lại lòng thương xót dành cho tổ phụ Áp-ra-ham và cho con cháu đến muôn đời”. Muôn nước hỡi, nào ca ngợi Chúa, ngàn dân ơi, hãy chúc tụng Người!"]},"alleluia":{"verse":"Lc 1, 28","content":"Alleluia, Alleluia,  Alleluia.- Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ; Trinh Nữ được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh nữ sẽ thụ thai và sinh một Con trai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Thiên Thần Gabriel được Chúa sai đến một thành xứ Galilêa, tên là Nadarét, đến với một trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ðavít, trinh nữ ấy tên là Maria. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào Trinh Nữ đầy ơn phước, Thiên Chúa ở cùng Trinh Nữ”. Nghe lời đó, Trinh Nữ bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Maria đừng sợ, vì đã được ơn nghĩa với Chúa. Này Trinh Nữ sẽ thụ thai, hạ sinh một con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Giacóp, và triều đại Người sẽ vô tận.\rNhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với trinh nữ và uy quyền Ðấng Tối Cao sẽ bao trùm trinh nữ. Vì thế, Ðấng trinh nữ sinh ra sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, Isave chị họ trinh nữ cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMaria liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và thiên thần cáo biệt trinh nữ.","end":"Ðó là lời Chúa"}},
+        "81710": {"firstReading":{"excerpt":"Pl 3, 17 – 4, 1","info":"“Quê hương chúng ta ở trên trời”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Anh em thân mến, anh em hãy bắt chước tôi, và hãy để mắt nhìn coi những người ăn ở theo như mẫu mực anh em thấy nơi chúng tôi. Bởi chưng như tôi đã thường nói với anh em, và giờ đây tôi đau lòng ứa lệ mà nói lại, có nhiều người sống thù nghịch với thập giá Ðức Kitô. Chung cuộc đời họ là hư vong, chúa tể của họ là cái bụng, và họ đặt vinh danh của họ trong những điều ô nhục; họ chỉ ưa chuộng những cái trên cõi đời này. Phần chúng ta, quê hương chúng ta ở trên trời, nơi đó chúng ta mong đợi Ðấng Cứu Chuộc là Ðức Giêsu Kitô, Chúa chúng ta. Người sẽ biến đổi thân xác hèn hạ của chúng ta nên giống thân xác hiển vinh của Người, nhờ quyền lực mà Người vẫn có, để bắt muôn vật suy phục Người.\rBởi thế, anh em thân mến và yêu quý, anh em là niềm hoan lạc và triều thiên của tôi; anh em thân mến, hãy vững vàng trong Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Chúa đã cứu tôi khỏi mọi điều lo sợ. Hoặc đọc: Alleluia.","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Thần Chúa hạ trại đồn binh chung quanh những người sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao; phúc đức ai nương tựa ở nơi Người. – Ðáp."]},"alleluia":{"verse":"Gc 1, 12","content":"alleluia! – Phúc cho người biết kiên tâm chịu cám dỗ thử thách, vì khi thí luyện thành công, họ sẽ lĩnh triều thiên sự sống. – Alleluia."},"gospel":{"excerpt":"Ga 12, 24-26","info":"“Nếu hạt lúa mì thối đi, thì sẽ sinh nhiều bông hạt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thật, Thầy nói thật với các con: Nếu hạt lúa mì rơi xuống đất mà không thối đi, thì nó chỉ trơ trọi một mình; nhưng nếu nó thối đi, thì nó sinh nhiều bông hạt. Ai yêu sự sống mình thì sẽ mất, và ai ghét sự sống mình ở đời này, thì sẽ giữ được nó cho sự sống đời đời. Ai phụng sự Thầy, hãy theo Thầy, và Thầy ở đâu, thì kẻ phụng sự Thầy cũng sẽ ở đó. Ai phụng sự Thầy, Cha Thầy sẽ tôn vinh nó”.","end":"Ðó là lời Chúa"}}
+    }
+});
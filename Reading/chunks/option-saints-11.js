@@ -0,0 +1,8 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-11", {
+    "OPTION_SAINT": {
+        "80211": {"firstReading":{"excerpt":"Kn 3, 1-9","info":"“Chúa chấp nhận các ngài như của lễ toàn thiêu”.","title":"Trích sách Khôn Ngoan.","content":"Linh hồn những người công chính ở trong tay Chúa, và đau khổ sự chết không làm gì được các ngài. Ðối với con mắt người không hiểu biết, thì hình như các ngài đã chết và việc các ngài từ biệt chúng ta, là như đi vào cõi tiêu diệt. Nhưng thật ra các ngài sống trong bình an. Và trước mặt người đời, dầu các ngài đã chịu khổ hình, lòng cậy trông của các ngài cũng không chết. Sau một giây lát chịu khổ nhục, các ngài sẽ được vinh dự lớn lao: vì Chúa đã thử thách các ngài như thử vàng trong lửa, và chấp nhận các ngài như của lễ toàn thiêu.\rKhi đến giờ Chúa ghé mắt nhìn các ngài, các người công chính sẽ sáng chói và chiếu tỏ ra như ánh lửa chiếu qua bụi lau. Các ngài sẽ xét xử các dân tộc, sẽ thống trị các quốc gia, và Thiên Chúa sẽ ngự trị trong các ngài muôn đời. Các ngài đã tin tưởng ở Chúa, thì sẽ hiểu biết chân lý, và trung thành với Chúa trong tình yêu, vì ơn Chúa và bình an sẽ dành cho những người Chúa chọn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 6-7bc. 17-18. 20-21","response":"Ðáp: Lạy Chúa, con vươn linh hồn con lên tới Chúa. Hoặc đọc: Lạy Chúa, phàm ai trông cậy Chúa, ắt chẳng hổ ngươi","verses":["Xướng: Lạy Chúa, xin nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa.","Xướng: Xin cho lòng con được nhẹ bớt lo âu, và giải thoát con khỏi cảnh ưu tư phiền muộn. Xin Chúa coi cảnh lầm than khốn khổ của con, và tha thứ hết mọi điều tội lỗi.","Xướng: Xin gìn giữ mạng sống con và giải thoát con, đừng để con bẽ bàng vì đã tìm nương tựa Chúa. Nguyện cho lòng con vô tội và trung thứ bảo vệ con, vì con trông cậy vào Ngài, thân lạy Chúa."]},"alleluia":{"verse":"2 Tm 2, 11-12a","content":"Alleluia, Alleluia,  Alleluia.– Nếu chúng ta cùng chết với Chúa Kitô, thì chúng ta cùng sống với Người; nếu chúng ta kiên tâm chịu đựng, chúng ta sẽ cùng thống trị với Người. – Alleluia."},"gospel":{"excerpt":"Lc 23, 33. 39-43","info":"“Hôm nay ngươi sẽ ở trên thiên đàng với Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi đã đến nơi gọi là Núi Sọ, chúng đóng đinh Người vào thập giá cùng với hai tên trộm cướp, một đứa bên hữu một đứa bên tả Người. Bấy giờ Chúa Giêsu than thở rằng: “Lạy Cha, xin tha cho chúng, vì chúng không biết việc chúng làm”. Rồi chúng rút thăm mà chia nhau áo Người. Một trong hai kẻ trộm bị đóng đinh trên thập giá cũng sỉ nhục người rằng: “Nếu ông là Ðấng Kitô, ông hãy tự cứu ông và cứu chúng tôi nữa”.\rÐối lại, tên kia mắng nó rằng: “Mi cũng chịu đồng một án mà mi chẳng sợ Thiên Chúa sao? Phần chúng ta, như thế này là đích đáng, vì chúng ta chịu xứng với việc chúng ta làm, còn ông này, ông có làm gì xấu đâu?” Và anh ta thưa cùng Chúa Giêsu rằng: “Lạy Ngài, khi nào về nước Ngài, xin nhớ đến tôi”. Chúa Giêsu đáp: “Quả thật, Ta bảo ngươi: ngay hôm nay, ngươi sẽ ở trên thiên đàng với Ta”.","end":"Ðó là lời Chúa"}},
+        "81711": {"firstReading":{"excerpt":"St 3, 9-15. 20","info":"“Ta sẽ đặt mối thù nghịch giữa miêu duệ mi và miêu duệ người phụ nữ”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa đã gọi Ađam và phán bảo ông rằng: “Ngươi đang ở đâu?” Ông đã thưa: “Con đã nghe thấy tiếng Ngài trong vườn địa đàng, nhưng con sợ hãi, vì con trần truồng và con đang ẩn núp”.\rChúa phán bảo ông rằng: “Ai đã chỉ cho ngươi biết rằng ngươi trần truồng, há chẳng phải tại ngươi đã ăn trái cây mà Ta đã cấm ngươi không được ăn ư?” Ađam thưa lại:”Người phụ nữ Chúa đã cho làm bạn với con, chính nàng đã cho con trái cây và con đã ăn”. Và Thiên Chúa phán bảo người phụ nữ rằng: “Tại sao ngươi đã làm điều đó?” Người phụ nữ thưa:”Con rắn đã lừa dối con và con đã ăn”.\rThiên Chúa phán bảo con rắn rằng: “Bởi vì mi đã làm điều đó, mi sẽ vô phúc ở giữa mọi sinh vật và mọi muông thú địa cầu; mi sẽ bò đi bằng bụng, và mi sẽ ăn bùn đất mọi ngày trong đời mi. Ta sẽ đặt mối thù nghịch giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ người đó, người miêu duệ đó sẽ đạp nát đầu mi, còn mi thì sẽ rình cắn gót chân người”.\rVà Ađam đã gọi tên vợ mình là Evà: vì lẽ bà là mẹ của chúng sinh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8","response":"Ðáp: Tâm hồn tôi nhảy mừng trong Chúa, Ðấng Cứu độ tôi","verses":["Xướng: Tâm hồn tôi nhảy mừng trong Chúa, và sức mạnh tôi được gia tăng trong Thiên Chúa tôi; miệng tôi mở rộng ra trước quân thù, vì tôi reo mừng việc Chúa cứu độ tôi.","Xướng: Chiếc cung những người chiến sĩ đã bị bẻ gãy, và người yếu đuối được mạnh khoẻ thêm. Những kẻ no nê phải làm thuê độ nhật, và những người đói khát khỏi phải làm thuê; người son sẻ thì sinh năm đẻ bảy, còn kẻ đông con nay phải héo tàn.","Xướng: Chúa làm cho chết và Chúa làm cho sống, Chúa đày xuống Âm phủ và Chúa dẫn ra. Chúa làm cho nghèo và làm cho giàu có, Chúa hạ xuống thấp và Chúa nâng lên cao.","Xướng: Từ nơi cát bụi, Chúa nâng người yếu đuối; từ chỗ phân nhơ, Chúa nhắc kẻ khó nghèo, để cho họ ngồi chung với các vương giả, và cho họ dự phần ngôi báu vinh quang."]},"secondReading":{"excerpt":"Rm 5, 12. 17-19","info":"“Nơi nào tội lỗi đầy tràn, thì Người ban ơn thánh dư dật”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, cũng như do một người mà tội lỗi đã nhập vào thế gian, và do tội lỗi mà có sự chết, và thế là sự chết đã truyền đến mọi người, vì lẽ rằng mọi người đã phạm tội. Vì nếu bởi tội của một người mà sự chết đã thống trị do một người đó, thì những người lãnh được ân sủng và ơn huệ dồi dào bởi đức công chính, càng được thống trị hơn nữa trong sự sống do một người là Ðức Giêsu Kitô. Do đó, tội của một người truyền đến mọi người đưa tới án phạt như thế nào, thì đức công chính của một người truyền sang mọi người đưa tới bậc công chính ban sự sống cũng như thế. Vì như bởi tội không vâng lời của một người mà muôn người trở thành những tội nhân thế nào, thì do đức vâng lời của một người mà muôn người trở thành kẻ công chính cũng như thế.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 1, 28","content":"Alleluia, Alleluia,  Alleluia.- Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ; Trinh Nữ được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh nữ sẽ thụ thai và sinh một Con trai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Thiên Thần Gabriel được Chúa sai đến một thành xứ Galilêa, tên là Nadarét, đến với một trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ðavít, trinh nữ ấy tên là Maria. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào Trinh Nữ đầy ơn phước, Thiên Chúa ở cùng Trinh Nữ”. Nghe lời đó, Trinh Nữ bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Maria đừng sợ, vì đã được ơn nghĩa với Chúa. Này Trinh Nữ sẽ thụ thai, hạ sinh một con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Giacóp, và triều đại Người sẽ vô tận.\rNhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với trinh nữ và uy quyền Ðấng Tối Cao sẽ bao trùm trinh nữ. Vì thế, Ðấng trinh nữ sinh ra sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, Isave chị họ trinh nữ cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMaria liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và thiên thần cáo biệt trinh nữ.","end":"Ðó là lời Chúa"}},
+        "82111": {"firstReading":{"excerpt":"Dcr 2, 14-17","info":"Lời Chúa trong sách Dacaria","title":"Hỡi con gái Sion, hãy vui sướng reo hò, vì này Ta đang đến ở lại giữa ngươi, – sấm ngôn của Đức Chúa.","content":"Ngày ấy, nhiều dân tộc sẽ gắn bó cùng Đức Chúa: Chúng sẽ thành dân thánh của Ta, và Ta sẽ cư ngụ ở giữa ngươi. Bấy giờ, (các) ngươi sẽ nhận biết rằng Đức Chúa các đạo binh đã phái tôi đến với (các) ngươi. Đức Chúa sẽ lấy Giuđa làm cơ nghiệp, đó là sở hữu của Người trên Đất Thánh và Người sẽ lại tuyển chọn Giêrusalem. Hỡi mọi xác phàm, hãy lặng thinh trước nhan Đức Chúa, Bởi vì Người tỉnh giấc và ra khỏi Nơi Thánh của Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sm 2, 1.4-5.6-7.8","response":"Đáp: Tâm hồn tôi nhảy mừng trong Chúa, Đấng Cứu độ tôi (c. 1a).","verses":["Xướng: Tâm hồn tôi nhảy mừng trong Chúa, và sức mạnh tôi được gia tăng trong Thiên Chúa tôi; miệng tôi mở rộng ra trước quân thù, vì tôi reo mừng việc Chúa cứu độ tôi.","Xướng: Chiếc cung những người chiến sĩ đã bị bẻ gãy, và người yếu đuối được mạnh khoẻ thêm. Những kẻ no nê phải làm thuê độ nhật, và những người đói khát khỏi phải làm thuê; người son sẻ thì sinh năm đẻ bảy, còn kẻ đông con nay phải héo tàn.","Xướng: Chúa làm cho chết và Chúa làm cho sống, Chúa đày xuống Âm phủ và Chúa dẫn ra. Chúa làm cho nghèo và làm cho giàu có, Chúa hạ xuống thấp và Chúa nâng lên cao.","Xướng: Từ nơi cát bụi, Chúa nâng người yếu đuối; từ chỗ phân nhơ, Chúa nhắc kẻ khó nghèo, để cho họ ngồi chung với các vương giả, và cho họ dự phần ngôi báu vinh quang."]},"alleluia":{"verse":"Lc 1,28","content":"Alleluia, Alleluia,  Alleluia.- Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ; Trinh Nữ được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Mt 12, 46-50","info":"Ai thi hành ý muốn của Cha tôi, Đấng ngự trên trời, người ấy là anh chị em tôi, là mẹ tôi.","title":"Tin Mừng Chúa Giêsu Kitô theo thánh Mátthêu","content":"Một hôm, khi Đức Giêsu đang nói với đám đông, thì có mẹ và anh em của Người đứng bên ngoài, tìm cách nói chuyện với Người. Có kẻ thưa Người rằng: Thưa Thầy, có mẹ và anh em Thầy đang đứng ngoài kia, tìm cách nói chuyện với Thầy. Người bảo kẻ ấy rằng: Ai là mẹ tôi? Ai là anh em tôi? Rồi Người giơ tay chỉ các môn đệ và nói: Đây là mẹ tôi, đây là anh em tôi. Vì phàm ai thi hành ý muốn của Cha tôi, Đấng ngự trên trời, người ấy là anh chị em tôi, là mẹ tôi.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,7 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("option-saints-12", {
+    "OPTION_SAINT": {
+        "82412": {"firstReading":{"excerpt":"Is 62, 1-5","info":"“Ngươi đẹp lòng Chúa”.","title":"Trích sách Tiên tri Isaia.","content":"Vì Sion, tôi sẽ không im tiếng, và vì Giêrusalem, tôi sẽ không nghỉ ngơi cho đến khi Ðấng công chính xuất hiện như ánh sáng, Ðấng Cứu độ Sion đến như ngọn đuốc sáng ngời.\rMọi dân tộc sẽ thấy Người là Ðấng công chính của ngươi, và mọi đế vương sẽ thấy vinh hiển Người. Chính Chúa sẽ đặt cho ngươi một tên mới. Ngươi sẽ là triều thiên vinh hiển trong tay Chúa, và vương miện quyền bính trong tay Thiên Chúa ngươi. ngươi sẽ không còn gọi là kẻ bị ruồng bỏ, và đất ngươi sẽ không còn gọi là chốn hoang vu. Ngươi sẽ được gọi là “kẻ Ta ưa thích”, và đất ngươi sẽ được gọi là đất có dân cư, vì ngươi đẹp lòng Thiên Chúa và đất ngươi sẽ có dân cư.\r(Như) thanh niên sẽ ở cùng trinh nữ, con cái ngươi sẽ ở trong ngươi; (như) người chồng sẽ vui mừng vì vợ, Thiên Chúa ngươi cũng sẽ vui mừng vì ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 4-5. 16-17. 27 và 29","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời","verses":["Xướng: Ta đã ký minh ước cùng người Ta tuyển lựa, Ta đã thề cùng Ðavít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Phúc thay dân tộc biết hân hoan, lạy Chúa, họ tiến thân trong ánh sáng nhan Ngài. Họ luôn luôn mừng rỡ vì danh Chúa, và tự hào vì đức công minh Ngài.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha con, là Thiên Chúa và Ðá Tảng cứu độ của con”. Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì."]},"secondReading":{"excerpt":"Cv 13, 16-17. 22-25","info":"“Thánh Phaolô làm chứng về Chúa Kitô, con vua Ðavít”.","title":"Trích sách Tông đồ Công vụ.","content":"Phaolô đến Antiôkia thuộc Pisiđia, vào hội đường, đứng lên, giơ tay ra hiệu cho mọi người yên lặng rồi nói: “Hỡi người Israel và những kẻ kính sợ Thiên Chúa, hãy nghe đây. Thiên Chúa Israel đã chọn Tổ phụ chúng ta, Người đã thăng tiến dân Người khi họ còn cư ngụ trong nước Ai-cập, và Người ra tay mạnh mẽ đưa cha ông chúng ta ra khỏi nước ấy.\r“Sau khi loại bỏ Saolê, Chúa đã đặt Ðavít lên làm vua dân Người, để chứng nhận điều đó, chính Người đã phán: “Ta đã gặp được Ðavít, con của Giêsê, người vừa ý Ta, người sẽ thi hành mọi ý muốn của Ta”.\r“Bởi dòng dõi Ðavít, theo lời hứa, Thiên Chúa ban cho Israel Ðức Giêsu làm Ðấng Cứu Ðộ, Ðấng mà Gioan đã báo trước, khi ông đến rao giảng phép rửa thống hối cho toàn dân Israel. Khi Gioan hoàn tất hành trình, ông tuyên bố: “Tôi không phải là người mà anh em lầm tưởng; nhưng đây, Người sẽ đến sau tôi mà tôi không đáng cởi dây giày dưới chân Người”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia.- Ngày mai tội lỗi trần gian sẽ được xoá bỏ, và Ðấng Cứu Thế sẽ ngự trị trên chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 1, 1-25","info":"“Dòng dõi Chúa Giêsu Kitô, con vua Ðavít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Sách gia phả của Chúa Giêsu Kitô, con vua Ðavít, con của Abraham. Abraham sinh Isaac; Isaac sinh Giacóp; Giacóp sinh Giuđa ; Phares sinh (bởi bà Thamar) và các anh em người. Giuđa sinh Phares và Zara Esrom; Esrom sinh Aram; Aram sinh Aminadab; Aminadab sinh Naasson; Naasson sinh Salmon; Salmon sinh Booz do bà Rahab; Booz sinh Giobed do bà Rút. Giobed sinh Giêsê; Giêsê sinh vua Ðavít.\rÐavít sinh Salomon do bà vợ của Uria; Salomon sinh Robo-am; Roboam sinh Abia; Abia sinh Asa; Asa sinh Giosaphát; Giosaphát sinh Gioram; Gioram sinh Ozia; Ozia sinh Gioatham; Gioatham sinh Achaz; Achaz sinh Ezekia; Ezekia sinh Manas-se; Manasse sinh Amos; Amos sinh Giosia; Giosia sinh Giêconia và các em trong thời lưu đày ở Babylon.\rSau thời lưu đày ở Babylon, Giêconia sinh Salathiel; Salathiel sinh Zorababel; Zorababel sinh Abiud; Abiud sinh Eliakim; Eliakim sinh Azor; Azor sinh Sađoc; Sađoc sinh Akim; Akim sinh Eliud; Eliud sinh Eleazar; Eleazar sinh Mathan; Mathan sinh Giacóp; Giacóp sinh Giuse, là bạn của Maria, mẹ của Chúa Giêsu gọi là Ðức Kitô.\rVậy, từ Abraham đến Ðavít có tất cả mười bốn đời, từ Ðavít đến cuộc lưu đày ở Babylon có mười bốn đời, và từ cuộc lưu đày ở Babylon cho đến Chúa Kitô có mười bốn đời.\rChúa Kitô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, bà đã thụ thai bởi phép Chúa Thánh Thần. Giuse, bạn của bà là người công chính, không muốn tố cáo bà, nên định tâm lìa bỏ bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì thiên thần hiện đến cùng ông trong giấc mơ và bảo:\r“Hỡi Giuse con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình, vì Maria mang thai là bởi phép Chúa Thánh Thần; bà sẽ hạ sinh một con trai mà ông đặt tên là Giêsu, vì chính Người sẽ cứu dân mình khỏi tội”. Tất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng: “Này đây một trinh nữ sẽ thụ thai, hạ sinh một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên Chúa-ở-cùng-chúng-ta”.\rKhi tỉnh dậy, Giuse đã thực hiện như lời thiên thần Chúa truyền. Ông tiếp nhận bạn mình, nhưng không ăn ở với nhau, cho đến khi Maria sinh con trai đầu lòng, thì Giuse đặt tên con trẻ là Giêsu.\r Đó là Lời Chúa.\r .\rHoặc đọc bài vắn này: Mt 1, 18-25\r“Maria sẽ hạ sinh một con trai mà ông đặt tên là Giêsu”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\rChúa Kitô giáng sinh trong hoàn cảnh sau đây:\rMẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, bà đã thụ thai bởi phép Chúa Thánh Thần. Giuse bạn của bà là người công chính, không muốn tố cáo bà, nên định tâm lìa bỏ bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì thiên thần hiện đến cùng ông trong giấc mơ và bảo:\r“Hỡi Giuse con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình: vì Maria mang thai là bởi phép Chúa Thánh Thần; bà sẽ hạ sinh một con trai mà ông đặt tên là Giêsu: vì chính Người sẽ cứu dân mình khỏi tội”. Tất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng:\r“Này đây một trinh nữ sẽ thụ thai, hạ sinh một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên-Chúa-ở-cùng-chúng-ta”.\rKhi tỉnh dậy, Giuse đã thực hiện như lời thiên thần Chúa truyền. Ông tiếp nhận bạn mình, nhưng không ăn ở với nhau, cho đến khi Maria sinh con trai đầu lòng, thì Giuse đặt tên con trẻ là Giêsu.","end":"Ðó là lời Chúa"}},
+        "82512": {"firstReading":{"excerpt":"Is 52, 7-10","info":"“Khắp cùng bờ cõi trái đất sẽ nhìn thấy ơn cứu độ của Thiên Chúa chúng ta”.","title":"Trích sách Tiên tri Isaia.","content":"Ðẹp thay chân người rao tin trên núi, người rao tin thái bình, người rao tin mừng, người rao tin cứu độ, nói với Sion rằng: Thiên Chúa ngươi sẽ thống trị!\rTiếng của người canh gác của ngươi đã cất lên. Họ sẽ cùng nhau ca ngợi rằng: Chính mắt họ sẽ nhìn xem, khi Chúa đem Sion trở về. Hỡi Giêrusalem hoang tàn, hãy vui mừng, hãy cùng nhau ca ngợi! Vì Chúa đã an ủi dân Người, đã cứu chuộc Giêru-salem. Chúa đã chuẩn bị ra tay thánh thiện Người trước mặt chư dân; và khắp cùng bờ cõi trái đất sẽ nhìn xem ơn cứu độ của Thiên Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","response":"Ðáp: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta","verses":["Xướng:  Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng:  Chúa đã công bố ơn cứu độ của Người; trước mặt chư dân, Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng:  Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca!","Xướng:  Hãy ca mừng Chúa với cây đàn cầm, với cây đàn cầm với điệu nhạc du dương, cùng với tiếng kèn râm ran, tiếng tù và rúc, hãy hoan hô trước thiên nhan Chúa là Vua."]},"secondReading":{"excerpt":"Dt 1, 1-6","info":"“Chúa đã phán dạy chúng ta qua người Con”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Thuở xưa, nhiều lần và dưới nhiều hình thức, Thiên Chúa đã phán dạy cha ông chúng ta qua các tiên tri. Trong những ngày sau hết đây, Ngài đã phán dạy chúng ta qua Người Con mà Ngài đã đặt làm vị thừa kế vạn vật, và cũng do bởi Người Con mà Ngài đã tác thành vũ trụ. Nguyên vốn là phản ảnh sự vinh quang và là hình tượng bản thể Ngài, Người Con đó nâng giữ vạn vật bằng lời quyền năng của mình, quét sạch tội lỗi chúng ta, và ngự bên hữu Ðấng Oai Nghiêm trên cõi trời cao thẳm. Tên Người cao trọng hơn các thiên thần bao nhiêu, thì Người cũng vượt trên các thiên thần bấy nhiêu.\rPhải, vì có bao giờ Thiên Chúa đã phán bảo với một vị nào trong các thiên thần rằng: “Con là thái tử của Cha, hôm nay Cha đã hạ sinh Con”? Rồi Chúa lại phán: “Ta sẽ là Cha Người, và Người sẽ là Con Ta”. Và khi ban Con Một mình cho thế gian, Chúa lại phán rằng: “Tất cả các thiên thần Chúa hãy thờ lạy Người!”","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia. -Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 1, 1-18","info":"“Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng ta”.","title":"Bắt đầu Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Từ nguyên thuỷ đã có Ngôi Lời, và Ngôi Lời vẫn ở với Thiên Chúa, và Ngôi Lời vẫn là Thiên Chúa. Người vẫn ở với Thiên Chúa ngay từ nguyên thủy.\rMọi vật đều do Người làm nên, và không có Người, thì chẳng vật chi đã được tác thành trong mọi cái đã được tác thành. Ở nơi Người vẫn có sự sống, và sự sống là sự sáng của nhân loại; sự sáng chiếu soi trong u tối, và u tối đã không tiếp nhận sự sáng.\rCó một người được Thiên Chúa sai đến, tên là Gioan. Ông đã đến nhằm việc chứng minh, để ông chứng minh về sự sáng, hầu cho mọi người nhờ ông mà tin. Chính ông không phải là sự sáng, nhưng đến để chứng minh về sự sáng.\rVẫn có sự sáng thực, sự sáng soi tỏ cho hết mọi người sinh vào thế gian này. Người vẫn ở trong thế gian, và thế gian đã do Người tác tạo, và thế gian đã không nhận biết Người. Người đã đến nhà các gia nhân Người, và các gia nhân Người đã không tiếp nhận Người. Nhưng phàm bao nhiêu kẻ đã tiếp nhận Người, thì Người cho họ được quyền trở nên con Thiên Chúa, tức là cho những ai tin vào danh Người. Những người này không do khí huyết, không do ý muốn xác thịt, cũng không do ý muốn của đàn ông, nhưng do Thiên Chúa mà sinh ra.\rVà Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng tôi, và chúng tôi đã nhìn thấy vinh quang của Người, vinh quang Người nhận được bởi Chúa Cha, như của người Con Một đầy ân sủng và chân lý.\rGioan làm chứng về Người khi tuyên xưng rằng: “Ðây là Ðấng tôi tiên báo. Người đến sau tôi, nhưng xuất hiện trước tôi, vì Người có trước tôi”.\rChính do sự sung mãn Người mà chúng ta hết thảy tiếp nhận ơn này tới ơn khác. Bởi vì Chúa ban Lề luật qua Môsê, nhưng ơn thánh và chân lý thì ban qua Ðức Giêsu Kitô. Không ai nhìn thấy Thiên Chúa, nhưng chính Con Một Chúa, Ðấng ngự trong Chúa Cha, sẽ mạc khải cho chúng ta. \r Đó là Lời Chúa.\t .\rHoặc đọc bài vắn này: Ga 1, 1-5. 9-14\r“Ngôi Lời đã làm Người và ở cùng chúng ta”\rBắt đầu Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.\rTừ nguyên thuỷ đã có Ngôi Lời, và Ngôi Lời vẫn ở với Thiên Chúa, và Ngôi Lời vẫn là Thiên Chúa. Người vẫn ở với Thiên Chúa ngay từ nguyên thủy.\rMọi vật đều do Người làm nên, và không có Người, thì chẳng vật chi đã được tác thành trong mọi cái đã được tác thành. Ở nơi Người vẫn có sự sống, và sự sống là sự sáng của nhân loại; sự sáng chiếu soi trong u tối, và u tối đã không tiếp nhận sự sáng.\rVẫn có sự sáng thực, sự sáng soi tỏ cho hết mọi người sinh vào thế gian này. Người vẫn ở trong thế gian, và thế gian đã do Người tác tạo, và thế gian đã không nhận biết Người. Người đã đến nhà các gia nhân Người, và các gia nhân Người đã không tiếp nhận Người. Nhưng phàm bao nhiêu kẻ đã tiếp nhận Người, thì Người cho họ được quyền trở nên con Thiên Chúa, tức là cho những ai tin vào danh Người. Những người này không do khí huyết, không do ý muốn xác thịt, cũng không do ý muốn của đàn ông, nhưng do Thiên Chúa mà sinh ra.\rVà Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng tôi, và chúng tôi đã nhìn thấy vinh quang của Người, vinh quang Người nhận được bởi Chúa Cha, như của người Con Một đầy ân sủng và chân lý.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,22 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("seasonal-advent", {
+    "SEASONAL": {
+        "1011": {"firstReading":{"excerpt":"Is 4, 2-6","info":"“Những kẻ được giải phóng sẽ nhảy mừng”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ngày ấy, dòng dõi Chúa sẽ trở nên huy hoàng vinh quang, hoa màu trên đất sẽ dồi dào, và số người trong dân Ít-ra-en được giải phóng sẽ nhảy mừng. Những ai còn sót lại ở Si-on và còn sống sót ở Giê-ru-sa-lem sẽ được gọi là thánh, tất cả những ai sẽ được ghi tên để sống trọn đời ở Giê-ru-sa-lem. Khi Chúa đã dùng thần trí thẩm xét và thiêu đốt mà tẩy bỏ những tồi bại của các thiếu nữ Si-on, và đã tẩy rửa Giê-ru-sa-lem cho sạch những vết máu, thì lúc đó Chúa sẽ đến trên khắp miền núi Si-on và những nơi kêu cầu Người, như đám mây ban ngày và như cột khói hoặc như ánh lửa sáng rực ban đêm, vì trên tất cả, vinh quang Thiên Chúa sẽ là một phương du và là một lều vải để che khỏi sức nóng ban ngày, để làm nơi an toàn trú ẩn khỏi giông tố và mưa sa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5. 6-7. 8-9","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”. Hỡi Giê-ru-sa-lem, chân chúng tôi đang đứng nơi cửa thành rồi","Xướng: Giê-ru-sa-lem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc, các bộ lạc của Chúa tiến lên","Xướng: Theo luật pháp của Ít-ra-en, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ða-vít.","Xướng: ngươi được an ninh. Nguyện cho trong thành luỹ được bình an, và trong các lâu đài của ngươi yên ổn.","Xướng: Vì anh em và bằng hữu của tôi, tôi nguyện chúc: bình an cho ngươi! Vì nhà Chúa là Thiên Chúa chúng ta, tôi khẩn cầu cho ngươi những điều thiện hảo."]},"alleluia":{"verse":"x. Tv 79, 4","content":"alleluia! – Lạy Chúa là Thiên Chúa chúng con, xin đoái nhìn chúng con, xin tỏ nhan thánh Chúa, thì chúng con sẽ được rỗi. – Alleluia."},"gospel":{"excerpt":"Mt 8, 5-11","info":"“Nhiều người từ phương đông và phương tây sẽ đến trong nước trời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su vào thành Ca-phác-na-um, thì có một viên đại đội trưởng đến thưa Chúa rằng: “Lạy Thầy, thằng nhỏ nhà tôi đau nằm ở nhà, nó bị tê liệt và đau đớn lắm!” Chúa Giê-su phán bảo ông rằng: “Tôi sẽ đến chữa nó”. Nhưng viên đại đội trưởng thưa Người rằng: “Lạy Thầy, tôi không đáng được Thầy vào dưới mái nhà tôi, nhưng xin Thầy chỉ phán một lời, thì thằng nhỏ của tôi sẽ lành mạnh. Vì chưng, cũng như tôi chỉ là người ở dưới quyền, nhưng tôi cũng có những người lính thuộc hạ, tôi bảo người này đi thì anh đi; tôi bảo người kia đến thì anh đến; tôi bảo gia nhân làm cái này thì nó làm!” Nghe vậy, Chúa Giê-su ngạc nhiên và nói với những kẻ theo Người: “Quả thật, Ta bảo các ngươi, Ta không thấy một lòng tin mạnh mẽ như vậy trong Ít-ra-en. Ta cũng nói cho các ngươi biết rằng: nhiều người từ phương đông và phương tây sẽ đến dự tiệc cùng Ap-ra-ham, I-sa-ác và Gia-cóp trong nước trời. Còn con cái trong nước sẽ bị vứt vào nơi tối tăm bên ngoài, ở đó sẽ phải khóc lóc nghiến răng”.","end":"Ðó là lời Chúa"}},
+        "1012": {"firstReading":{"excerpt":"Is 11, 1-10","info":"“Chúa lấy đức công bình mà xét xử người nghèo khó”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ngày ấy, từ gốc Giê-sê sẽ đâm ra một bông hoa.\rTrên bông hoa ấy, thần linh của Thiên Chúa sẽ ngự xuống, tức thần khôn ngoan và thông suốt, thần chỉ dẫn và sức mạnh, thần hiểu biết và đạo đức, và thần ấy sẽ làm cho Ngài biết kính sợ Thiên Chúa.\rNgài không xét đoán theo như mắt thấy, cũng không lên án theo điều tai nghe, nhưng Ngài sẽ lấy đức công bình mà xét xử những người nghèo khó, và lấy lòng chính trực mà bênh đỡ kẻ hiền lành trong xứ sở.\rNgài sẽ dùng lời như gậy đánh người áp chế, và sẽ dùng tiếng nói giết chết kẻ hung ác.\rNgài lấy đức công bình làm dây thắt lưng và lấy sự trung tín làm đai lưng.\rSói sống chung với chiên con; beo nằm chung với dê; bò con, sư tử và chiên sẽ ở chung với nhau; con trẻ sẽ dẫn dắt các thú ấy.\rBò con và gấu sẽ ăn chung một nơi, các con của chúng nằm nghỉ chung với nhau; sư tử cũng như bò đều ăn cỏ khô, trẻ con còn măng sửa sẽ vui đùa kề hang rắn lục, và trẻ con vừa thôi bú sẽ thọc tay vào hang rắn độc.\rCác thú dữ ấy không làm hại ai, không giết chết người nào khắp núi thánh của Ta.\rBởi vì thế gian sẽ đầy dẫy sự hiểu biết Chúa như nước tràn đại dương.\rNgày ấy gốc Giê-sê đứng lên như cờ hiệu cho muôn dân.\rCác dân sẽ khẩn cầu Ngài và mộ Ngài sẽ được vinh quang.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71,2, 7-8,12-13,17","response":"Ðáp: Sự công chính và nền hòa bình viên mãn sẽ triển nở trong triều đại người.","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh và phân xử người nghèo khó cách chính trực.","Xướng: Sự công chính và nền hòa bình viên mãn, sẽ triển nở trong triều đại người, cho tới khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất.","Xướng: Vì người sẽ giải thoát kẻ nghèo khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu sống người cùng khổ.","Xướng: Chúc tụng danh người đến muôn đời, danh người còn tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca ngợi người."]},"alleluia":{"verse":"Tv 84,8","content":"alleluia – Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng tôi, và ban ơn cứu rỗi cho chúng tôi. – Alleluia."},"gospel":{"excerpt":"Lc 10, 21-24","info":"“Chúa Giê-su đầy hoan lạc trong Chúa Thánh Thần”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su đầy hoan lạc trong Chúa Thánh Thần, Người nói: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì đã giấu không cho những người thông thái khôn ngoan biết những điều này, nhưng đã tỏ cho những kẻ đơn sơ.\rVâng lạy Cha, đó là ý Cha đã muốn thế.\rCha Ta đã trao phó cho Ta mọi sự.\rKhông ai biết Chúa Con là ai, ngoài Chúa Cha; cũng không ai biết Chúa Cha là Ðấng nào, ngoài Chúa Con, và những người được Chúa Con muốn tỏ cho biết!”\rRồi Chúa Giê-su quay lại phía các môn đệ và phán: “Hạnh phúc cho những con mắt được xem những điều chúng con xem thấy; vì chưng Ta bảo các con: có nhiều tiên tri và vua chúa đã muốn xem những điều chúng con thấy, mà chẳng được xem, muốn nghe những điều chúng con nghe, mà đã chẳng được nghe.","end":"Ðó là lời Chúa"}},
+        "1013": {"firstReading":{"excerpt":"Is 25, 6-10a","info":"“Chúa mời đến dự tiệc của Người và lau sạch nước mắt trên mọi khuôn mặt”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ngày ấy, Chúa các đạo binh sẽ thết tất cả các dân trên núi này một bữa tiệc đầy thịt rượu, thịt thì béo, rượu thì ngon. Trên núi này, Người sẽ cất khăn tang bao trùm muôn dân, và tấm khăn liệm trải trên mọi nước. Người tiêu diệt sự chết đến muôn đời. Thiên Chúa sẽ lau sạch nước mắt trên mọi khuôn mặt, và cất bỏ khỏi toàn mặt đất sự tủi hổ của dân Người, vì Người đã phán. Ngày đó, người ta sẽ nói: Này đây Chúa chúng ta, chúng ta đã chờ đợi Người, và Người sẽ cứu chúng ta. Ðây là Chúa, nơi Người, chúng ta đã tin tưởng, chúng ta hãy hân hoan và vui mừng vì ơn Người cứu độ, vì Chúa sẽ đặt tay của Người trên núi này.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài.","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa), dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương; đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":"Is 33, 32","content":"alleluia! – Chúa là Ðấng xét xử, là Ðấng ban luật và là Vua chúng ta: Chính Người sẽ cứu độ chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 15, 29-37","info":"“Chúa Giê-su chữa nhiều người và hoá bánh ra nhiều”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su đến gần biển Ga-li-lê-a, và Người lên ngồi trên núi; dân chúng lũ lượt đến cùng Người, đem theo kẻ câm, mù, què, liệt và nhiều người khác, và đặt họ dưới chân Người. Người đã chữa lành họ. Dân chúng kinh ngạc nhìn thấy kẻ câm nói được, người què bước đi, người đui lại thấy, và họ tôn vinh Thiên Chúa Ít-ra-en.\rCòn Chúa Giê-su kêu gọi các môn đệ mà phán: “Ta thương xót đoàn lũ này, vì đã ba ngày, họ ở lại với Ta, nhưng không có gì ăn. Ta không muốn cho họ về bụng đói, sợ họ té xỉu dọc đàng”. Các môn đệ thưa Người: “Chúng con lấy đâu đủ bánh trong hoang địa này mà cho ngần ấy dân chúng ăn no?” Chúa Giê-su nói với họ: “Các con có bao nhiêu chiếc bánh?” Họ thưa: “Có bảy chiếc, và ít con cá nhỏ”. Người truyền dân chúng ngồi xuống đất. Người cầm lấy bảy chiếc bánh và mấy con cá, tạ ơn, bẻ ra và trao cho các môn đệ, các môn đệ đem cho dân chúng. Tất cả đều ăn no, và mảnh vụn còn lại người ta thu lượm được bảy thúng đầy. Số người đã ăn lên tới bốn ngàn, không kẻ đàn bà con nít.","end":"Ðó là lời Chúa"}},
+        "1014": {"firstReading":{"excerpt":"Is 26, 1-6","info":"“Dân công chính biết giữ sự trung tín, hãy tiến vào”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ngày ấy, trong đất Giu-đa, người ta hát khúc ca này: Si-on là thành trì kiên cố của chúng ta, có tường thành và hào luỹ che chở, hãy mở cửa, và dân công chính biết giữ sự trung tín, hãy tiến vào. Sự sai lầm cũ đã qua đi, Chúa sẽ bảo tồn sự hòa bình. Sự hòa bình, vì chúng ta trông cậy nơi Chúa.\rHãy trông cậy Chúa đến muôn đời, trông cậy Chúa, Ðấng quyền năng mãi mãi. Vì Người triệt hạ dân ở nơi cao, và hạ thấp những thành trì danh tiếng, Người hạ nó sát đất, chà đạp nó thấu bụi tro. Bàn chân người nghèo khó bước đi, và kẻ bần cùng sẽ đạp trên nó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1 và 8-9. 19-21. 25-27a","response":"Ðáp: Chúc tụng Ðấng nhân danh Chúa mà đến! Hoặc đọc: Alleluia!","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Tìm đến nương tựa Chúa thì tốt hơn nương tựa ở loài người; tìm đến nương tựa Chúa thì tốt hơn nương tựa những bậc quân vương .","Xướng: Xin mở cho tôi các cửa công minh, để tôi vào và cảm tạ ơn Chúa. Ðây là ngọ môn của Chúa, những người hiền đức qua đó tiến vào. Tôi cảm tạ Chúa vì Chúa đã nghe tôi,và đã trở nên Ðấng cứu độ tôi.","Xướng: Thân lạy Chúa, xin gia ơn cứu độ; thân lạy Chúa, xin ban cho đời sống phồn vinh. Chúc tụng Ðấng nhân danh Chúa mà đến, từ nhà Chúa, chúng tôi cầu phúc cho chư vị. Chúa là Thiên Chúa và đã soi sáng chúng tôi."]},"alleluia":{"verse":"Is 40, 9-10","content":"alleluia! – Hỡi người giảng tin mừng, hãy mạnh dạn cất lớn tiếng: Này Chúa là Thiên Chúa sẽ đến trong sức mạnh. – Alleluia."},"gospel":{"excerpt":"Mt 7, 21. 24-27","info":"“Ai thực hiện ý Chúa Cha, sẽ được vào nước trời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Không phải tất cả những ai nói với Ta, “Lạy Chúa, lạy Chúa!”, là được vào nước trời, nhưng chỉ có người thực hiện ý Cha Ta ở trên trời, kẻ ấy mới được vào nước trời.\r“Vậy ai nghe những lời Ta nói đây và đem ra thực hành, thì giống như người khôn ngoan, đã xây nhà mình trên đá; mưa có đổ xuống, nước có tràn vào, gió bão có thổi đến và lùa vào nhà đó, nhà vẫn không sập, vì nhà ấy được xây trên nền đá. Và hễ ai nghe những lời Ta nói đây mà không đem ra thực hành, thì giống như người ngu đần, xây nhà mình trên cát, khi mưa sa nước lũ, gió thổi và lùa vào nhà đó, nhà sẽ sập và sẽ trở nên đống hoang tàn”.","end":"Ðó là lời Chúa"}},
+        "1015": {"firstReading":{"excerpt":"Is 29, 17-24","info":"“Ngày đó mắt người mù sẽ được xem thấy”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ðây Chúa là Thiên Chúa phán: Không còn bao lâu nữa, Li-ban sẽ trở nên lùm cây, và lùm cây sẽ trở nên cánh rừng. Ngày đó, người điếc sẽ được nghe lời Sách Thánh, và từ bóng tối, mắt người mù sẽ được xem thấy. Những người hiền lành sẽ càng thêm vui mừng trong Chúa, và những kẻ nghèo khó sẽ nhảy mừng trong Ðấng Thánh của Ít-ra-en. Vì chưng, người ỷ thế sẽ thất bại, kẻ khinh người sẽ bị hổ ngươi, người mưu toan gian ác sẽ bị tiêu diệt. Ðó là kẻ dùng lời nói để cáo gian người khác, kẻ ra cửa thành mà đánh lừa người xử kiện, kẻ lấy sự nhỏ nhoi mà hiếp đáp người công chính. Vì thế, Chúa, Ðấng cứu chuộc Áp-ra-ham, phán cùng nhà Gia-cóp lời này: Từ đây Gia-cóp sẽ chẳng còn phải hổ ngươi và đỏ mặt; nhưng khi xem thấy con cháu mình là công trình của tay Ta, đang ca ngợi danh thánh Ta giữa nhà Gia-cóp, thì chúng sẽ ngợi khen Ðấng Thánh của Gia-cóp và tuyên xưng Thiên Chúa Ít-ra-en. Và tâm trí lầm lạc sẽ được hiểu biết; người lẩm bẩm sẽ học biết lề luật.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","response":"Ðáp: Chúa là sự sáng và là Ðấng cứu độ tôi (c. 1a).","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai? – Ðáp.","Xướng: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi, hầu vui hưởng sự êm đềm của Chúa, và chiêm ngưỡng thánh điện của Ngài. – Ðáp.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa. – Ðáp."]},"alleluia":{"verse":" ","content":"alleluia! – Hỡi các tầng trời, hãy đổ sương mai; hỡi ngàn mây, hãy mưa Ðấng Công Chính, đất hãy mở ra và trổ sinh Ðấng Cứu Chuộc. – Alleluia."},"gospel":{"excerpt":"Mt 9, 27-31","info":"“Tin vào Chúa Giê-su, hai người mù được chữa lành”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su đi ngang qua, có hai người mù chạy theo Chúa và kêu lớn tiếng rằng: “Hỡi Con vua Ða-vít, xin thương chúng tôi”. Khi Chúa tới nhà, những người mù tiến lại gần Chúa. Chúa Giê-su phán bảo họ: “Các ngươi có tin rằng Ta có thể làm việc ấy không?” Họ thưa: “Lạy Thầy, có”. Bấy giờ Chúa sờ vào mắt họ và phán: “Các ngươi tin thế nào, thì hãy được như vậy”. Mắt họ liền mở ra, nhưng Chúa Giê-su truyền cho họ rằng: “Coi chừng, đừng cho ai biết”. Nhưng vừa ra đi, họ liền đồn tiếng Người trong khắp miền ấy.","end":"Ðó là lời Chúa"}},
+        "1016": {"firstReading":{"excerpt":"Is 30, 19-21. 23-26","info":"“Người động lòng thương ngươi, lắng nghe lời ngươi kêu xin”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ðây Chúa là Thiên Chúa, Ðấng Thánh của Ít-ra-en phán: Dân Si-on sẽ được ở Giê-ru-sa-lem. Ngươi sẽ chẳng còn than van khóc lóc; Chúa động lòng thương ngươi, và khi vừa nghe tiếng ngươi kêu, Người liền đáp lại lời ngươi. Chúa sẽ cho ngươi chút bánh đau thương, ít nước khốn cùng. Nhưng Ðấng dạy dỗ ngươi sẽ không lìa bỏ ngươi, mắt ngươi sẽ trông nhìn Ðấng giáo huấn ngươi, và tai ngươi sẽ nghe tiếng Ðấng từ sau lưng bảo rằng: “Ðây là đường, hãy bước đi theo đó, đừng rẽ bên mặt, đừng quẹo bên trái”. Sẽ ban mưa xuống cho hạt giống của ngươi, bất cứ trên đất nào ngươi đã gieo vãi. Bánh thổ sản sẽ rất dồi dào và thơm ngon. Ngày ấy, chiên được chăn thả trên lãnh địa rộng lớn của ngươi. Bò lừa cày ruộng ngươi được ăn rơm có muối, đã được rê sạch. Trong ngày tru diệt muôn người, khi thành quách đổ nhào, sẽ có dòng suối chảy trên đồi cao núi thẳm. Ngày Chúa băng bó thương tích của dân Người, và chữa lành da bầm thịt giập; mặt trăng sẽ sáng chói như mặt trời, mặt trời sẽ bảy lần chói sáng hơn, như ánh sáng bảy ngày.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 146, 1-2. 3-4. 5-6","response":"Ðáp: Phúc cho tất cả những ai mong đợi Chúa(Is 30, 18). Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ngợi khen Chúa vì Người hảo tâm; hãy ca mừng Thiên Chúa chúng ta, vì Người êm ái, thực Người rất đáng ngợi khen. Chúa xây dựng lại Giê-ru-sa-lem, tập họp con cái Ít-ra-en phân tán.","Xướng: Chính Người chữa những kẻ giập nát tâm can, và băng bó vết thương của lòng họ. Người ấn định con số các ngôi sao, và gọi đích danh từng ngôi một.","Xướng:  Chúa chúng ta cao cả và mãnh liệt quyền năng, sự khôn ngoan của Người thực là vô lượng. Chúa nâng cao những kẻ khiêm cung, Người đè bẹp đứa ác nhân xuống tận đất."]},"alleluia":{"verse":"Is 55, 6","content":"alleluia! – Hãy tìm kiếm Chúa khi còn gặp được Người; hãy kêu xin Người lúc Người còn gần các ngươi. – Alleluia."},"gospel":{"excerpt":"(Mt 9, 35 – 10, 1. 6-8)","info":"“Thấy đoàn lũ dân chúng, Người động lòng xót thương họ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su đi rảo khắp các thành phố làng mạc, dạy dỗ trong các hội đường, rao giảng Tin Mừng Nước Trời, và chữa lành mọi bệnh hoạn tật nguyền. Thấy đoàn lũ dân chúng, Người động lòng xót thương họ, vì họ tất tưởi bơ vơ như những con chiên không có người chăn, Người liền bảo môn đệ rằng: “Lúa chín đầy đồng, mà thợ gặt thì ít. Các con hãy xin chủ ruộng sai thợ đi gặt lúa”.\rVà Người triệu tập mười hai môn đệ, ban cho họ quyền năng trên các thần ô uế, để họ xua đuổi chúng, và chữa lành mọi bệnh hoạn tật nguyền. Người bảo: “Các con hãy đi đến cùng chiên lạc của nhà Ít-ra-en trước đã, và rao giảng rằng: Nước Trời đã đến gần. Hãy chữa lành người liệt, phục sinh kẻ chết, chữa lành người phung, và xua trừ ma quỷ. Các con đã lãnh nhận nhưng không, thì hãy cho nhưng không”.","end":"Ðó là lời Chúa"}},
+        "1021": {"firstReading":{"excerpt":"Is 35, 1-10","info":"“Chính Thiên Chúa sẽ đến và cứu thoát các ngươi”.","title":"Trích sách Tiên tri I-sai-a.","content":"Sa mạc và hoang địa hãy vui mừng, đồng cỏ hoang hãy hoan hỉ và nở hoa; hãy nở hoa như cây thuỷ tiên, hãy tràn đầy hân hoan và niềm vui! Hoang địa sẽ được vinh quang của núi Li-băng, và vẻ tráng lệ của Các-men và Sa-ron. Chính họ sẽ được thấy vinh quang của Chúa, và vẻ tráng lệ của Thiên Chúa chúng ta.\rHãy nâng đỡ những bàn tay mỏi mệt, và hãy làm vững mạnh những đầu gối rã rời. Hãy nói với những tâm hồn xao xuyến: Can đảm lên, đừng sợ! Này đây Thiên Chúa các ngươi đến để phục thù. Chính Người sẽ đến và cứu thoát các ngươi.\rBấy giờ mắt người mù sẽ sáng lên, và tai người điếc sẽ mở ra. Bấy giờ người què sẽ nhảy nhót như nai, và người câm sẽ nói được, vì nước sẽ chảy lên nơi hoang địa, và suối sẽ chảy nơi đồng vắng. Ðất khô cạn sẽ trở thành ao hồ, và hoang địa sẽ trở nên suối nước. Hang dã thú nơi chó rừng ẩn náu sẽ trở thành vườn lau vườn sậy.\rNơi ấy sẽ có những con đường người ta sẽ gọi là thánh lộ, không tội nhân nào được qua đường đó; đường này sẽ thuộc về các ngươi, và những kẻ ngây thơ sẽ không lạc lối. Ðường ấy sẽ không có vết chân sư tử, và không ác thú nào đi trên đường này, chỉ những kẻ được giải phóng đi trên đó thôi. Những kẻ được Chúa cứu thoát sẽ trở về, và vào thành Sion với lời ca vang, cùng với triều thiên hân hoan trên đầu họ. Họ sẽ được niềm vui và hoan hỉ; họ không còn đau khổ và than van.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Này đây Chúa chúng ta sẽ đến và cứu độ chúng ta","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng tôi.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Người."]},"alleluia":{"verse":"Lc 3, 4. 6","content":"alleluia! – Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng; và mọi người sẽ thấy ơn cứu độ của Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 5, 17-26","info":"“Hôm nay chúng tôi đã thấy những việc lạ lùng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Ngày ấy, Chúa Giê-su đang ngồi giảng, có cả những người biệt phái và tiến sĩ luật từ các làng mạc xứ Ga-li-lê-a, xứ Giu-đê-a và Giê-ru-sa-lem đến nghe Người, và Người dùng quyền lực của Thiên Chúa chữa nhiều người. Người ta khiêng một người bất toại đến, họ tìm cách vào nhà để đặt người bất toại trước mặt Người. Nhưng không tìm được lối vào, vì dân chúng quá đông, họ liền trèo lên sân thượng và thả người bất toại xuống giữa cử toạ trước mặt Chúa Giê-su. Thấy lòng tin của họ, Người nói: “Hỡi người kia, tội ngươi đã được tha!”\rCác luật sĩ và biệt phái bắt đầu lý luận rằng: “Người này là ai mà dám nói phạm thượng? Trừ một mình Chúa, ai có quyền tha tội?” Chúa Giê-su biết rõ điều họ suy tính, liền nói với họ: “Sao các ngươi lại nghĩ trong lòng như vậy? Nói rằng: “Các tội của ngươi đã được tha”, hay nói: “Ngươi hãy đứng dậy mà đi”, đàng nào dễ hơn? Song (như thế là) để các ngươi biết Con Người có quyền tha tội ở dưới đất”. Người nói với người bất toại rằng: “Ta bảo ngươi, hãy chỗi dậy vác giường về nhà”.\rTức thì anh ta chỗi dậy vác giường đi về nhà và ca tụng Thiên Chúa. Ai nấy đều sợ hãi và ngợi khen Thiên Chúa; họ kinh sợ và nói: “Hôm nay chúng ta đã thấy những việc lạ lùng”.","end":"Ðó là lời Chúa"}},
+        "1022": {"firstReading":{"excerpt":"Is 40, 1-11","info":"“Thiên Chúa an ủi dân Người”.","title":"Trích sách Tiên tri I-sai-a.","content":"Chúa ngươi phán: Hỡi dân Ta, hãy an tâm, hãy an tâm! Hãy nói với Giê-ru-sa-lem, và kêu gọi rằng: Thời nô lệ đã chấm dứt, tội lỗi đã được ân xá, Chúa đã ban ơn nhiều gấp hai lần tội lỗi.\rVà có tiếng kêu trong hoang địa rằng: Hãy dọn đường Chúa, hãy sửa đường Chúa chúng ta trong hoang địa cho ngay thẳng, hãy lấp mọi hố sâu và hãy bạt mọi núi đồi; con đường cong queo hãy làm cho ngay thẳng, con đường gồ ghề hãy san cho bằng. Và vinh quang Chúa sẽ xuất hiện, mọi người sẽ được thấy vinh quang Thiên Chúa, vì Ngài đã phán. Có tiếng bảo: “Hãy hô lên!”, và tôi nói: “Tôi sẽ hô lên điều gì?” Mọi xác phàm như cỏ dại; mọi vinh quang của nó đều như hoa ngoài đồng. Cỏ dại đã khô, hoa đã tàn, vì hơi Chúa đã thổi trên chúng. Vì chưng, dân là cỏ dại: Cỏ dại đã khô, hoa đã tàn, mà lời Chúa chúng ta tồn tại đến muôn đời.\rHỡi ngươi là kẻ đem tin mừng cho Si-on, hãy trèo lên núi cao. Hỡi ngươi là kẻ đưa tin mừng cho Giê-ru-sa-lem, hãy mạnh dạn cất tiếng. Hãy cất tiếng cao, đừng sợ! Hãy nói cho các dân thành thuộc chi họ Giu-đa rằng: Ðây Thiên Chúa các ngươi, đây Chúa là Thiên Chúa các ngươi sẽ đến trong quyền lực, và cánh tay Người sẽ thống trị. Người mang theo những phần thưởng chiến thắng, và đưa đi trước những chiến lợi phẩm. Người chăn dắt đoàn chiên Người như một mục tử. Người ẵm những chiên con trên cánh tay, ôm ấp chúng vào lòng, và nhẹ tay dẫn dắt những chiên mẹ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2. 3 và 10ac. 11-12. 13","response":"Ðáp: Thiên Chúa chúng ta sẽ đến trong uy quyền","verses":["Xướng: Hãy ca mừng Thiên Chúa bài ca mới, hãy ca mừng Thiên Chúa, hỡi toàn thể địa cầu. Hãy ca mừng Thiên Chúa, hãy chúc tụng danh Người.","Xướng: Hãy tường thuật vinh quang Chúa giữa chư dân, và phép lạ Người ở nơi vạn quốc. Hãy công bố giữa chư dân rằng: Thiên Chúa ngự trị, Người cai quản chư dân theo đường đoan chính.","Xướng: Trời xanh hãy vui mừng và địa cầu hãy hân hoan. Biển khơi và muôn vật trong đó hãy reo lên; đồng nội và muôn loài trong đó hãy mừng vui.","Xướng: Các rừng cây hãy vui tươi hớn hở, trước nhan Thiên Chúa: vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người sẽ cai quản địa cầu cách công minh và chư dân cách chân thành."]},"alleluia":{"verse":"Lc 3, 4. 6","content":"alleluia! – Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng; và mọi người sẽ thấy ơn cứu độ của Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 18, 12-14","info":"“Chúa không muốn những kẻ bé nhỏ phải hư đi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy Chúa Giê-su phán cùng các môn đệ rằng: “Các con nghĩ sao? Nếu ai có một trăm con chiên mà lạc mất một con, thì người đó lại không bỏ chín mươi chín con trên núi, để đi tìm con chiên lạc sao? Nếu người đó tìm được, thì quả thật, Thầy bảo các con, người đó sẽ vui mừng vì con chiên đó hơn chín mươi chín con chiên không thất lạc. Cũng vậy, Cha các con ở trên trời không muốn để một trong những kẻ bé nhỏ này phải hư đi”.","end":"Ðó là lời Chúa"}},
+        "1023": {"firstReading":{"excerpt":"Is 40, 25-31","info":"“Thiên Chúa toàn năng ban sức mạnh cho người mệt mỏi”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ðấng Chí Thánh phán rằng: Các ngươi sánh Ta với ai? Và kể Ta bằng ai? Hãy ngước mắt lên cao mà xem, ai đã dựng nên muôn loài này? Ðấng vận chuyển các cơ binh của chúng và biết gọi đích danh tất cả, không thiếu vật nào, vì sức mạnh của người rất lớn và quyền năng của Người rất cao.\rHỡi Gia-cóp, tại sao ngươi nói, hỡi Ít-ra-en, tại sao ngươi nói: Chúa không biết đến số phận tôi, Người không biết đến quyền lợi của tôi? Ngươi không biết? Ngươi không nghe sao?\rChúa là Thiên Chúa hằng hữu, là Ðấng đã dựng nên toàn thể trái đất, Người không mỏi không mệt và sự khôn ngoan của Người không thể suy thấu.\rNgười ban sức mạnh cho kẻ rã rời và thêm sức cho người mệt mỏi.\rNhững trai trẻ cũng mòn mỏi mệt nhọc, những tráng sĩ cũng lao đao vấp ngã.\rNhững ai trông cậy Chúa, sẽ được thêm sức mới, cất cánh bay cao như phượng hoàng, họ chạy mà không mệt, họ đi mà không mỏi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103: 1-2, 3-4, 8,10","response":"Ðáp: Hồn tôi ơi, hãy chúc tụng Chúa.","verses":["Xướng: Hồn tôi ơi, hãy chúc tụng Chúa, và toàn thể thân tôi, hãy chúc tụng danh Người. Hồn tôi ơi, hãy chúc tụng Chúa, và đừng bao giờ quên các ân huệ của Người.","Xướng: Người đã thứ tha mọi tội lỗi ngươi, và đã chữa ngươi khỏi tật nguyền. Người đã cứu ngươi khỏi chết và ban cho ngươi hồng ân, nhân ái.","Xướng: Chúa là Ðấng thương xót nhân ái, chậm oán hờn và yêu thương khôn lường. Người không xử với ta như ta đáng tội, và không trả cho ta theo lỗi của ta."]},"alleluia":{"verse":" ","content":"alleluia – Chúa chúng ta sẽ đến trong quyền lực, và sẽ làm cho mắt các tôi tớ Người được sáng. – Alleluia."},"gospel":{"excerpt":"Mt 11, 28-30","info":"“Hãy đến với Ta, hỡi những ai vất vả cực nhọc”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán rằng: Hãy đến với Ta tất cả, hỡi những ai khó nhọc và gánh nặng, Ta sẽ nâng đỡ bổ sức cho các ngươi.\rHãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta dịu hiền và khiêm nhượng trong lòng, và tâm hồn các ngươi sẽ gặp được bình an.\rVì ách của Ta thì êm ái và gánh của Ta thì nhẹ nhàng.","end":"Ðó là lời Chúa"}},
+        "1024": {"firstReading":{"excerpt":"Is 41, 13-20","info":"“Ta là Ðấng Thánh của Ít-ra-en, Ta là Ðấng Cứu Chuộc ngươi”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ta là Chúa, Thiên Chúa của ngươi, Ta cầm tay ngươi và nói cùng ngươi: Ðừng sợ gì, đã có Ta giúp.\rHỡi con sâu Gia-cóp, hỡi dân Ít-ra-en, đừng sợ chi, Ta sẽ đến giúp ngươi, đó là lời Chúa phán, Ðấng Thánh của Ít-ra-en, Ðấng Cứu Chuộc ngươi. Ta sẽ đặt ngươi như chiếc bừa mới tinh và có răng nhọn, ngươi sẽ băm các đồi ra như rơm rác. Ngươi sẽ sàng chúng và gió sẽ cuốn chúng đi, và cơn lốc sẽ làm chúng tan tác. Còn ngươi, ngươi sẽ vui mừng trong Thiên Chúa, sẽ hân hoan trong Ðấng Thánh của Ít-ra-en.\rNhững kẻ thiếu thốn nghèo nàn tìm nước, nhưng luống công, lưỡi chúng đã khô đi vì khát nước. Ta là Chúa, Ta sẽ nhậm lời chúng. Thiên Chúa của Ít-ra-en, Ta sẽ không bỏ chúng. Ta khiến sông chảy trên đỉnh núi trọc, và suối nước tràn giữa thung lũng. Ta sẽ biến hoang địa thành ao hồ và đất khô thành suối nước.\rNơi hoang địa, Ta sẽ cho mọc lên cây hương nam, cây keo, cây sim và cây dầu; nơi sa mạc, Ta sẽ trồng cây tùng, cây du, cây bách, để mọi người thấy, biết, lưu tâm và hiểu rằng chính tay Chúa đã làm nên sự nghiệp đó, và Ðấng Thánh của Israel đã tạo nên cơ đồ này.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 1 và 9. 10-11. 12-13ab","response":"Ðáp: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng","verses":["Xướng: Lạy Chúa, lạy Thiên Chúa của con, con sẽ ca khen Chúa, và con sẽ chúc tụng danh Chúa tới muôn đời. Chúa hảo tâm với hết mọi loài,và từ bi với mọi công cuộc của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Ðể con cái loài người nhận biết quyền năng và vinh quang cao cả nước Chúa. Nước Ngài là nước vĩnh cửu muôn đời; chủ quyền Ngài tồn tại qua muôn thế hệ."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin hãy đến viếng thăm chúng con trong bình an, để tâm hồn chúng con được hoàn toàn vui mừng trước nhan Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 11, 11-15","info":"“Chưa từng có ai cao trọng hơn Gioan Tẩy Giả”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng rằng: “Ta bảo thật các ngươi, trong các con cái người nữ sinh ra, chưa từng xuất hiện một ai cao trọng hơn Gio-an Tẩy Giả, nhưng người nhỏ nhất trong nước trời lại cao trọng hơn ông. Từ thời ông Gio-an Tẩy Giả đến giờ, nước trời phải dùng sức mạnh mà chiếm lấy, và những kẻ mạnh mẽ can đảm mới chiếm được. Tất cả các tiên tri và lề luật đã tuyên sấm cho đến Gio-an và nếu các ngươi muốn hiểu, thì chính Gio-an là Ê-li-a, kẻ phải đến. Ai có tai, thì hãy nghe!”","end":"Ðó là lời Chúa"}},
+        "1025": {"firstReading":{"excerpt":"Is 48, 17-19","info":"“Chớ gì ngươi lưu ý đến giới răn của Ta”.","title":"Trích sách Tiên tri I-sai-a.","content":"Thiên Chúa là Ðấng Thánh của Ít-ra-en, Ðấng Cứu Chuộc ngươi phán: Ta là Chúa, là Thiên Chúa của ngươi, Ðấng phán dạy ngươi những điều hữu ích, Ðấng dẫn dắt ngươi trong con đường phải đi. Nếu ngươi lưu ý đến các giới răn của Ta, thì hạnh phúc của ngươi sẽ như dòng sông, và sự công chính của ngươi sẽ như sóng biển. Dòng dõi ngươi sẽ như cát và con cháu ngươi sẽ đông đúc, và danh ngươi sẽ không bị xoá, bị diệt trước nhan thánh Ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Lạy Chúa, ai theo Chúa sẽ được ánh sáng ban sự sống","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy; họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":" ","content":"alleluia! – Này đây Ðức Vua là Thiên Chúa địa cầu sẽ đến. Chính Người sẽ cất ách tù đày của chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 11, 16-19","info":"“Họ không nghe lời Gioan và lời Con Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng rằng: “Ta sẽ so sánh thế hệ này với ai? Họ giống như bọn trẻ ngồi nơi phố chợ, gọi lũ trẻ khác mà rằng: “Chúng tôi thổi sáo, sao các bạn không múa nhảy; chúng tôi than vãn, sao các bạn không khóc lên!”\r“Vì Gio-an đến, không ăn không uống, thì họ nói: “Ông ta phải quỷ ám!” Con Người đến, ăn uống giống như thường, thì họ nói: “Ðó là người mê ăn mê uống, là bạn của quân thu thuế và những kẻ tội lỗi”. Nhưng sự khôn ngoan được biện minh bằng các công việc của mình”.","end":"Ðó là lời Chúa"}},
+        "1026": {"firstReading":{"excerpt":"Hc 48, 1-4. 9-11","info":"“Elia sẽ đến lần thứ hai”.","title":"Trích sách Huấn Ca.","content":"Bấy giờ Ê-li-a như lửa hồng xuất hiện. Lời ông nóng bỏng như ngọn đuốc cháy phừng. Ông đem cho họ một mùa đói khát, và số người hiềm ghét ông đã hao đi, vì chúng nó chẳng giữ được giới răn Chúa. Do lời Chúa phán, ông đóng cửa trời và ba lần khiến lửa từ trời xuống. Ê-li-a, người được vinh quang nhờ các việc lạ lùng đã làm, và ai có thể tự hào được vinh quang như người? Người đã được cất đi trong bầu lửa, trong xe bởi ngựa lửa kéo đi. Người đã nên dấu chỉ sự đe phạt qua các thời đại, để làm nguôi cơn thịnh nộ Chúa, để giao hoà cha với con, và chấn hưng lại những chi họ Gia-cóp. Phúc cho những ai thấy ngài và được hân hạnh thiết nghĩa với ngài.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16. 18-19","response":"Ðáp: Lạy Chúa là Thiên Chúa chúng con, xin cho chúng con được phục hồi, xin tỏ thiên nhan hiền từ Chúa ra, hầu cho chúng con được ơn cứu sống.","verses":["Xướng: Lạy Ðấng chăn dắt Ít-ra-en, xin hãy lắng tai! Chúa ngự trên các Vệ Binh Thần, xin hiện ra trong sáng láng. Xin thức tỉnh quyền năng của Chúa, và ngự tới để cứu độ chúng con.","Xướng: Lạy Chúa thiên binh, xin thương trở lại, tự trời cao xin nhìn coi và thăm viếng vườn nho này. Xin bảo vệ vườn nho mà tay hữu Ngài đã cấy, bảo vệ ngành nho mà Ngài đã củng cố cho mình.","Xướng: Xin Chúa ra tay bang trợ người ở bên tay hữu Chúa, con người mà Chúa đã củng cố cho mình. Chúng con sẽ không còn rời xa Chúa nữa, Chúa cho chúng con được sống, và chúng con ca tụng danh Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Ngày của Thiên Chúa gần đến; này đây, Người sẽ đến cứu chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 17, 10-13","info":"“Êlia đã đến rồi, và họ không nhận biết ông”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi xuống núi, các môn đệ hỏi Chúa Giê-su rằng: “Tại sao các luật sĩ lại nói Ê-li-a phải đến trước đã?”\rChúa Giê-su trả lời: “Thật Ê-li-a phải đến để chấn hưng mọi sự. Và Thầy bảo các con, Ê-li-a đã đến rồi, và họ không nhận biết ông, nhưng đã đối xử với ông như ý họ. Cũng vậy, Con Người sẽ phải đau khổ bởi họ”.\rBấy giờ các môn đệ hiểu Chúa Giê-su nói với họ về Gio-an Tẩy Giả.","end":"Ðó là lời Chúa"}},
+        "1031": {"firstReading":{"excerpt":"Ds 24, 2-7. 15-17a","info":"“Ngôi sao từ nhà Giacóp mọc lên”.","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, Balaam ngước mắt lên nhìn Israel cắm trại theo từng bộ lạc, và Thánh Thần Chúa ngự xuống trên ông, ông liền tuyên sấm và nói: “Lời sấm của Balaam, con ông Beor, lời sấm của người đang mở mắt; lời sấm của người nghe lời Thiên Chúa, của người chiêm ngắm Ðấng Toàn Năng, của người ngã mà mắt vẫn mở. Hỡi nhà Giacóp, doanh trại của ngươi đẹp biết bao! Hỡi Israel, chỗ cư ngụ của ngươi tốt dường nào! Nó rộng lớn như thung lũng, như những vườn bên dòng sông, như cây trầm hương mà Thiên Chúa đã trồng, như cây hương nam bên suối nước. Nước tràn ra khỏi thùng chứa, và hạt giống của ngươi được tưới dư dật. Vua ngươi sẽ trổi vượt Agag, và vương quốc ngươi sẽ uy hùng”.\rBalaam lại tuyên sấm và nói: “Lời sấm của Balaam, con của Beor, lời sấm của người đang mở mắt, lời sấm của người nghe lời Thiên Chúa, của người biết ý nghĩ Ðấng Tối Cao, của người xem thấy hình ảnh Ðấng Toàn Năng, của người ngã mà mắt vẫn mở. Tôi thấy Người, chưa phải bây giờ. Tôi thấy Người không phải gần. Một ngôi sao từ Giacóp mọc lên. Một phủ việt từ Israel xuất hiện”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9","response":"Ðáp: Lạy Chúa, xin chỉ cho con đường đi của Chúa (c. 4b).","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa, xin dạy bảo con về lối bước của Ngài. Xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con.","Xướng: Lạy Chúa, xin hãy nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa đến, hãy ra đón Người; chính Người là Hoàng tử Bình an. – Alleluia."},"gospel":{"excerpt":"Mt 21, 23-27","info":"“Phép rửa của Gioan bởi đâu mà có?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy Chúa Giêsu vào Ðền thờ. Lúc Người giảng dạy, các thượng tế và kỳ lão trong dân đến hỏi Người rằng: “Ông lấy quyền nào mà làm những điều này? Ai đã ban quyền ấy cho ông?” Chúa Giêsu trả lời: “Tôi cũng hỏi các ông một điều. Nếu các ông trả lời cho tôi, thì tôi sẽ nói cho các ông biết tôi lấy quyền nào mà làm các điều đó. – Phép Rửa của Gioan bởi đâu mà có? Bởi trời hay bởi người ta?” Họ bàn tính với nhau rằng: “Nếu ta nói bởi trời, thì ông sẽ nói với ta: Vậy tại sao các ngươi không tin ông ấy? Và nếu ta nói bởi người ta, thì chúng ta lại sợ dân chúng. Vì mọi người coi Gioan như một vị tiên tri”. Bấy giờ họ trả lời Chúa Giêsu rằng: “Chúng tôi không được biết”. Chúa Giêsu nói với họ: “Tôi cũng không nói cho các ông biết tôi lấy quyền nào mà làm các điều đó”.","end":"Ðó là lời Chúa"}},
+        "1032": {"firstReading":{"excerpt":"Xp 3, 1-2. 9-13","info":"“Chúa hứa ban ơn cứu độ cho những người nghèo khó”.","title":"Trích sách tiên tri Xôphônia.","content":"Chúa phán: Khốn cho thành phản nghịch và ô uế, cho thành làm sự hung bạo. Nó không nghe lời, không chịu sửa dạy, không tin tưởng vào Thiên Chúa, không đến gần Chúa mình.\rBấy giờ Ta sẽ cho dân Ta môi miệng thanh sạch để mọi người kêu cầu danh Chúa và nhất tâm phụng sự Người. Từ phía bên kia các sông xứ Ethiôpi, con cái những kẻ tha hương kêu cầu Ta, đem lễ vật đến dâng cho Ta.\rNgày đó, ngươi sẽ không còn phải xấu hổ vì các lỗi lầm của ngươi đã phạm đến Ta. Vì Ta sẽ cất xa khỏi ngươi những kẻ chiến thắng kiêu căng và từ đây, ngươi sẽ mãi mãi được vinh quang trên núi thánh Ta. Ta sẽ để lại giữa ngươi một dân tộc nghèo khó và thiếu thốn và họ sẽ tin tưởng vào danh Chúa. Những người Israel còn sót lại sẽ không làm điều gian ác, không nói dối, người ta không thấy chúng nói lời phỉnh gạt. Chúng sẽ như đàn chiên ăn cỏ và nghỉ ngơi, và sẽ không ai làm phiền chúng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 6-7. 17-18. 19 và 23","response":"Ðáp: Kìa người đau khổ cầu cứu và Chúa đã nghe (c. 7a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc; miệng tôi hằng liên lỉ ngợi khen Ngài. Trong Chúa, linh hồn tôi hãnh diện. Bạn nghèo hãy nghe và hãy vui mừng.","Xướng: Hãy nhìn về Chúa, để các bạn sẽ vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Ngài đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần ai. Người hiền đức kêu cầu và Chúa nghe lời họ, Ngài cứu họ khỏi mọi nỗi âu lo.","Xướng: Thiên Chúa gần gũi những kẻ đoạn trường, và cứu chữa những tâm hồn đau thương tan nát. Thiên Chúa cứu chữa linh hồn tôi tớ của Ngài, và phàm ai tìm đến nương tựa nơi Ngài, người đó sẽ không phải đền bồi tội lỗi."]},"alleluia":{"verse":" ","content":"alleluia! – Này đây Chúa đến để cứu dân Người; hạnh phúc thay những ai sẵn sàng đón rước Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 21, 28-32","info":"“Gioan đến và những kẻ tội lỗi tin ngài”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các thượng tế và các kỳ lão trong dân rằng: “Các ông nghĩ sao? Người kia có hai người con. Ông đến với đứa con thứ nhất và bảo: “Này con, hôm nay con hãy đi làm vườn cho cha!” Nó thưa lại rằng: “Con không đi”. Nhưng sau nó hối hận và đi làm. Ông đến gặp đứa con thứ hai và cũng nói như vậy. Nó thưa lại rằng: “Thưa cha, vâng, con đi”. Nhưng nó lại không đi. Ai trong hai người con đã làm theo ý cha mình?” Họ đáp: “Người con thứ nhất”. Chúa Giêsu bảo họ: “Quả thật, Ta bảo các ông, những người thu thuế và gái điếm sẽ vào nước Thiên Chúa trước các ông. Vì Gioan đã đến với các ông trong đường công chính, và các ông không tin ngài; nhưng những người thu thuế và gái điếm đã tin ngài. Còn các ông, sau khi xem thấy điều đó, các ông cũng không hối hận mà tin ngài”.","end":"Ðó là lời Chúa"}},
+        "1033": {"firstReading":{"excerpt":"Is 45, 6b-8. 18. 21b-26","info":"“Trời cao, hãy đổ sương mai!”","title":"Trích sách Tiên tri Isaia.","content":"Chính Ta là Chúa, và không có Chúa nào khác. Ta đã dựng nên ánh sáng và tối tăm. Ta đã dựng nên hạnh phúc và tai hoạ. Chính Ta là Thiên Chúa đã làm những sự ấy. Trời cao, hãy đổ sương mai! Ngàn mây, hãy mưa Ðấng Công Chính! Ðất hãy mở ra và trổ sinh Ðấng Cứu Ðộ, và đồng thời sự công chính hãy xuất hiện. Chính Ta là Chúa đã dựng nên loài người. Vì Thiên Chúa, Ðấng đã dựng nên các tầng trời, chính Người đã dựng nên địa cầu, đã tạo ra và làm cho (nó) bền vững. Người không dựng nên địa cầu hoang vu, nhưng đã dựng nên cho người ta ở, chính Người phán: Ta là Chúa và không có Chúa nào khác. Nào Ta chẳng phải là Chúa, và ngoài Ta, còn có Chúa nào khác đâu? Không có Thiên Chúa công bình và cứu độ nào khác ngoài Ta.\rHỡi các người ở tận cùng trái đất, hãy trở lại cùng Ta và các ngươi sẽ được cứu thoát. Vì Ta là Thiên Chúa và không có Chúa nào khác. Ta lấy tên Ta mà thề; lời công chính phát xuất từ miệng Ta sẽ không trở lại: mọi gối sẽ quỳ xuống trước mặt Ta, và mọi lưỡi sẽ lấy tên Ta mà thề rằng: Nhờ Chúa mà tôi sẽ được công chính và sức mạnh. Người ta sẽ đến cùng Chúa, và mọi kẻ chống đối Người sẽ phải hổ thẹn. Toàn thể dòng dõi Israel sẽ được công chính hoá và được hiển vinh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Hỡi các tầng trời, hãy đổ sương mai! Hỡi ngàn mây, hãy mưa Ðấng Công Chính! (Is 45,8).","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng ta.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh từ trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng ta sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Người."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa đến, hãy ra đón Người, chính Người là Hoàng tử Bình an. – Alleluia."},"gospel":{"excerpt":"Lc 7, 19-23 (Hl 18b-23)","info":"“Hãy thuật lại với Gioan những điều các ông đã nghe và đã thấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Gioan gọi hai người trong số môn đệ của mình, sai họ đến thưa Chúa Giêsu rằng: “Ngài là Ðấng phải đến chăng, hay chúng tôi còn phải chờ đợi Ðấng nào khác?” Khi những người này đến cùng Chúa Giêsu, họ thưa Ngài rằng: “Gioan Tẩy Giả sai chúng tôi đến hỏi Ngài: Ngài có phải là Ðấng phải đến, hay chúng tôi còn phải đợi Ðấng nào khác?” Ngay lúc đó, Chúa chữa những người khỏi bệnh hoạn tật nguyền và quỷ ám, và cho nhiều người mù được thấy. Ngài đáp lại rằng: “Các ông hãy về thuật lại cho Gioan những điều các ông đã nghe và đã thấy: người mù xem được, người què đi được, người phong hủi được sạch, kẻ điếc nghe được, người chết sống lại, kẻ nghèo khó được rao giảng tin mừng; và phúc cho ai không vấp phạm vì Ta”.","end":"Ðó là lời Chúa"}},
+        "1034": {"firstReading":{"excerpt":"Is 54, 1-10","info":"“Chúa kêu gọi ngươi như gọi người thiếu phụ sầu khổ”.","title":"Trích sách Tiên tri Isaia.","content":"Chúa phán: Hỡi người son sẻ, hãy reo mừng! Hãy vui mừng, hãy hân hoan, hỡi người không sinh nở. Vì con cái người phụ nữ bị bỏ rơi sẽ nhiều hơn con cái người có đôi bạn. Hãy mở rộng trại ngươi ở, hãy giăng trướng nhà ngươi, chớ để chật hẹp; hãy giăng dây cho dài, đóng cọc cho chắc. Ngươi sẽ bành trướng ra bên tả bên hữu, dòng dõi ngươi sẽ được các nước làm gia nghiệp.\rÐừng sợ, vì ngươi sẽ không phải thất vọng, đừng xấu hổ, vì ngươi sẽ quên sự hổ thẹn thời niên thiếu, và nỗi nhục nhã của thời goá bụa, ngươi cũng quên đi. Vì Ðấng thống trị ngươi là Ðấng đã tạo thành ngươi, Danh Ngài là Chúa Thiên Binh; Ðấng Cứu Chuộc ngươi là Ðấng Thánh Israel, Người là Thiên Chúa khắp địa cầu.\rChúa ngươi phán: như người thiếu phụ bị bỏ rơi và sầu muộn, Chúa gọi ngươi. Sao có thể ly dị người vợ trong buổi thanh xuân? Trong một thời gian ngắn, Ta đã bỏ ngươi, nhưng với lượng từ bi, Ta sẽ đón nhận ngươi. Chúa Cứu Chuộc ngươi phán: Trong cơn nóng giận, Ta đã ẩn mặt khỏi ngươi, nhưng trong tình yêu vĩnh cửu, Ta xót thương ngươi. Cũng như trong thời Noe, Ta đã thề rằng nước lụt Noe sẽ không tràn ra trên đất nữa, thì Ta cũng thề rằng Ta sẽ không giận ngươi, không trách ngươi nữa. Chúa thương xót ngươi phán: Dù núi dời, dù đồi chuyển, tình yêu của Ta đối với ngươi không hề thay đổi, và giao ước bình an của Ta luôn vững bền.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con (c. 2a).","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Ngài đã đưa linh hồn con thoát xa Âm phủ, Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Chúa, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời. Chiều hôm có gặp cảnh lệ rơi, nhưng sáng mai lại được mừng vui hoan hỉ.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con. Lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con. Lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"alleluia":{"verse":" ","content":"alleluia! – Này đây Chúa đến để cứu dân Người. Hạnh phúc thay những ai sẵn sàng đón rước Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 7, 24-30","info":"“Gioan là sứ thần dọn đường Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi những người Gioan sai đến đi rồi, Chúa Giêsu nói với đám đông về Gioan rằng: “Các ngươi đi xem gì ở hoang địa? Một cây sậy phất phơ trước gió ư? Vậy các ngươi đi xem gì? Một người ăn mặc lả lướt ư? Nhưng những người ăn mặc óng ả và đời sống xa hoa thì ở trong cung điện nhà vua. Vậy các ngươi đi xem gì? Một tiên tri ư? Phải, Ta bảo các ngươi, và còn hơn một tiên tri nữa. Chính về ông đã có lời chép rằng: “Này đây Ta sai sứ thần Ta đi trước con, và sẽ dọn đường cho con”. Ta nói cho các ngươi biết, trong các con cái người nữ sinh ra, chưa từng xuất hiện một người nào cao trọng hơn Gioan, nhưng người nhỏ nhất trong nước Thiên Chúa lại cao trọng hơn ông”.\rToàn thể dân chúng đã nghe Ngài, cả những người thu thuế đều vâng lời Thiên Chúa, và chịu phép rửa của Gioan. Còn những người Biệt phái và Luật sĩ đã khinh chê ý định của Thiên Chúa, và họ không chịu để Gioan thanh tẩy cho.","end":"Ðó là lời Chúa"}},
+        "1035": {"firstReading":{"excerpt":"Is 56,1-3a,6-8","info":"“Nhà Ta là nhà cầu nguyện cho mọi dân tộc”.","title":"Trích sách Tiên tri Isaia.","content":"Thiên Chúa phán: Hãy giữ luật và thực thi công bình, vì ơn cứu độ của Ta đã gần tới, và sự công chính của Ta sẽ tỏ hiện. Phúc thay người làm như vậy, và con người trung thành với điều ấy, giữ ngày Sabbat không hề sai lỗi, và giữ tay mình không làm tội ác.\rVà người ngoại bang tin theo Chúa sẽ không nói: Chúa sẽ tách tôi ra khỏi dân Ngài.\rNgười ngoại bang theo Chúa để phụng sự Chúa và mến yêu danh Ngài, để trở nên tôi tớ Chúa, tất cả những ai giữ ngày Sabbat không hề sai lỗi, và trung thành với giao ước của Ta.\rTa sẽ dẫn chúng lên núi thánh và Ta sẽ cho chúng niềm vui trong nhà cầu nguyện, Ta sẽ nhận những lễ toàn thiêu và hiến tế của chúng trên bàn thờ, vì nhà Ta là nhà cầu nguyện cho mọi dân tộc.\rChúa là Thiên Chúa đã tập hợp những người Israel tha hương, phán rằng: Ta sẽ tập hợp, những người khác lại với chúng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 66,2-3,5,6-8","response":"Ðáp: Chư dân, hãy ca tụng Chúa, thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài!","verses":["Xướng: Xin Thiên Chúa xót thương và chúc phúc lành cho chúng tôi, xin tỏ ra cho chúng tôi thấy long nhan Ngài tươi sáng, để trên địa cầu thiên hạ nhìn biết đường lối của Ngài, cho chư dân người ta được rõ ơn Ngài cứu độ.","Xướng: Các dân tộc hãy mừng vui và khoái trá, vì Ngài công bình cai trị chư dân, và Ngài cai quản các nước địa cầu.","Xướng: Ðấng đã chúc phúc cho chúng tôi, Ðức Thiên Chúa, Chúa chúng tôi. Xin Thiên Chúa chúc phúc lành cho chúng tôi, để cho khắp cùng bờ cõi đất kính sợ Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Ngày của Chúa gần đến; Người sẽ đến cứu chúng ta. – Alleluia."},"gospel":{"excerpt":"Jo 5, 33-36","info":"“Gioan là đèn cháy sáng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu nói với dân Do Thái rằng: Các ngươi đã sai người đến hỏi Gioan và ông đã làm chứng cho sự thật. Còn Ta, Ta không ỷ vào lời chứng của một người, nhưng Ta nói thế là để các ngươi được cứu thoát.\rGioan là đèn cháy sáng, và các ngươi trong một lúc đã vui mừng vì ánh sáng đó.\rNhưng phần Ta, Ta có chứng cao trọng hơn chứng của Gioan: đó là những việc Cha Ta đã giao cho Ta thực hiện, chính các việc mà Ta đang làm minh chứng rằng Cha đã sai Ta.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,31 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("seasonal-christmas", {
+    "SEASONAL": {
+        "6001": {"firstReading":{"excerpt":"1 Ga 3, 22 – 4, 6","info":"“Hãy nghiệm xét các thần trí, coi có phải bởi Thiên Chúa hay không”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, bất cứ điều gì chúng ta xin, thì chúng ta cũng lãnh nhận được nơi Chúa, vì chúng ta giữ các giới răn Người và làm điều đẹp lòng Người. Và đây là giới răn của Người: chúng ta phải tin vào thánh danh Con của Người, là Chúa Giê-su Kitô, và phải thương yêu nhau, như Người đã ban giới răn cho chúng ta. Ai giữ các giới răn của Người, thì ở trong Người và Người ở trong họ. Do điều này mà chúng ta biết Người ở trong chúng ta, đó là Thánh Thần mà Người đã ban cho chúng ta.\rCác con thân mến, chớ tin bất cứ thần trí nào, nhưng hãy nghiệm xét các thần trí, coi có phải bởi Thiên Chúa hay không, vì có nhiều tiên tri giả đã xuất hiện trong thế gian. Do điều này mà các con biết là thần trí của Thiên Chúa: Thần trí nào tuyên xưng Chúa Giê-su Ki-tô đã đến trong xác phàm thì là bởi Thiên Chúa; còn thần trí nào phủ nhận Chúa Giê-su, thì không bởi Thiên Chúa mà ra, đó là thần trí của Phản Ki-tô; các con nghe nói rằng nó đến, và hiện giờ nó đã ở trong thế gian rồi.\rCác con thân mến, các con bởi Thiên Chúa mà ra và đã thắng nó, vì Ðấng ở trong các con thì cao trọng hơn kẻ ở trong thế gian. Chúng thuộc về thế gian, nên nói chuyện thế gian, và thế gian nghe theo chúng. Chúng ta bởi Thiên Chúa mà ra. Ai biết Thiên Chúa, thì nghe chúng ta; còn ai không bởi Thiên Chúa, thì không nghe chúng ta. Do đó mà chúng ta biết được thần trí chân thật và thần trí dối trá.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 2, 7-8. 10-11","response":"Ðáp: Cha sẽ cho Con được chư dân làm phần sản nghiệp (c. 8a).","verses":["Xướng: Ta sẽ tuyên rao thánh chỉ của Chúa: Chúa đã phán bảo cùng Ta: “Con là thái tử của Cha, hôm nay Cha đã sinh thành ra Con. Hãy xin Cha và Cha sẽ cho Con được chư dân làm phần sản nghiệp, và cùng kiệt cõi đất làm gia tài”. – Ðáp.","Xướng: Giờ đây, hỡi các vua, hãy nên hiểu biết; quân vương mặt đất nên giác ngộ. Hãy kính sợ làm tôi Chúa và hân hoan mừng Ngài; hãy khiếp run tỏ bày sự vâng phục Chúa. – Ðáp."]},"alleluia":{"verse":"Mt 4,17","content":"alleluia! – Dân ngồi trong tối tăm đã thấy ánh sáng huy hoàng; ánh sáng đã xuất hiện cho người ngồi trong bóng sự chết. – Alleluia."},"gospel":{"excerpt":"Mt 4, 12-17. 23-25","info":"“Nước trời đã đến gần”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, nghe tin Gio-an bị nộp, Chúa Giê-su lui về Ga-li-lê-a. Người rời bỏ Na-da-rét, đến ở miền duyên hải thành Ca-phác-na-um, giáp ranh đất Da-vu-lun và Nép-ta-li, để ứng nghiệm lời đã phán bởi miệng tiên tri I-sai-a rằng:\r“Hỡi đất Da-vu-lun và đất Nép-ta-li, đường dọc theo biển, bên kia sông Gio-đan, Ga-li-lê-a của ngoại bang! Dân ngồi trong tối tăm, đã thấy ánh sáng huy hoàng, ánh sáng đã xuất hiện cho người ngồi trong bóng sự chết”. Từ bấy giờ, Chúa Giê-su bắt đầu rao giảng và nói: “Hãy hối cải, vì nước trời đã gần đến”.\rVà Chúa Giê-su đi rảo quanh khắp xứ Ga-li-lê-a, dạy dỗ trong các hội đường của họ, rao giảng tin mừng nước trời, chữa lành mọi bệnh hoạn tật nguyền trong dân. Tiếng tăm Người đồn ra khắp xứ Syria. Người ta đã đem đến cho Người đủ thứ bệnh nhân, những người mắc phải tật nguyền đau đớn, quỷ ám, kinh phong, bất toại. Người đã chữa họ lành. Dân chúng đông đảo theo Người, họ đến từ xứ Ga-li-lê-a, miền Thập Tỉnh, Giê-ru-sa-lem, Giu-đê-a và vùng bên kia sông Gio-đan.","end":"Ðó là lời Chúa"}},
+        "6002": {"firstReading":{"excerpt":"1 Ga 4, 7-10","info":"“Thiên Chúa là Tình Yêu”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, chúng ta phải thương yêu nhau, vì tình yêu bởi Thiên Chúa mà ra. Vì hễ ai thương yêu, thì đã sinh ra bởi Thiên Chúa, và nhận biết Thiên Chúa. Còn ai không thương yêu, thì không biết Thiên Chúa, vì Thiên Chúa là Tình Yêu. Ðiều này biểu lộ tình yêu của Thiên Chúa đối với chúng ta là Thiên Chúa chúng ta đã sai Con Một Người đến trong thế gian, để nhờ Ngài mà chúng ta được sống. Tình yêu là thế này: không phải chúng ta đã yêu mến Thiên Chúa, nhưng chính Người đã thương yêu chúng ta trước, và đã sai Con Một Người đến hy sinh, đền thay vì tội lỗi chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 3-4ab. 7-8","response":"Ðáp: Lạy Chúa, muôn dân khắp mặt đất sẽ thờ lạy Chúa (x. c. 11).","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Ước gì núi non đem hòa bình cho dân, và đồi nổng đem lại sự công chính. Người sẽ bênh vực kẻ khiêm tốn trong dân, sẽ cứu thoát con cái người nghèo khó.","Xướng: Sự công chính và nền hòa bình viên mãn sẽ triển nở trong triều đại người, cho đến khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất."]},"alleluia":{"verse":"Mt 4, 22","content":"alleluia! – Chúa Giêsu rao giảng Tin Mừng nước trời, và chữa lành mọi bệnh hoạn tật nguyền trong dân. – Alleluia."},"gospel":{"excerpt":"Mc 6, 34-44","info":"“Hoá bánh ra nhiều, Chúa Giêsu tỏ ra Mình là Ðấng Tiên tri”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu xem thấy dân chúng đông đảo thì động lòng thương xót họ, vì họ như chiên không người chăn giữ, và Người bắt đầu giảng dạy họ nhiều điều. Và khi giờ đã muộn, các môn đệ đến thưa Người rằng: “Chỗ này hoang vắng, mà giờ đã muộn, xin Thầy giải tán họ, để họ đi tới các làng các xóm gần đây mà mua gì ăn”. Chúa Giêsu trả lời họ rằng: “Các con hãy cho họ ăn đi”. Họ thưa Người: “Chúng con phải đi mua đến hai trăm đồng bạc bánh để phát cho họ ăn”. Người nói với họ: “Các con có mấy cái bánh? Hãy đi xem”. Khi biết được rồi, họ thưa: “Có năm cái bánh và hai con cá”. Người ra lệnh cho họ bảo mọi người ngồi xuống làm thành từng nhóm trên cỏ xanh. Họ ngồi xuống từng nhóm, chỗ một trăm, chỗ năm mươi. Người cầm năm cái bánh và hai con cá, ngước mắt lên trời mà chúc tụng, rồi bẻ bánh ra và trao cho các môn đệ, để họ phân phát cho người ta; còn hai con cá, Người cũng chia cho mọi người. Và tất cả đều ăn no. Mụn bánh và cá còn dư lại, người ta lượm được mười hai thúng đầy. Mà số người ăn là năm ngàn người.","end":"Ðó là lời Chúa"}},
+        "6003": {"firstReading":{"excerpt":"1 Ga 4, 11-18","info":"“Nếu chúng ta thương yêu nhau, thì Thiên Chúa ở trong chúng ta”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, nếu Thiên Chúa thương yêu chúng ta dường ấy, thì chúng ta cũng phải thương yêu nhau. Chẳng ai thấy Thiên Chúa bao giờ, nếu chúng ta thương yêu nhau, thì Thiên Chúa ở trong chúng ta, và tình yêu của Người nơi chúng ta đã được tuyệt hảo. Do điều này mà chúng ta biết chúng ta ở trong Người và Người ở trong chúng ta là Người đã ban Thánh Thần cho chúng ta. Và chúng ta đã thấy và chứng nhận rằng Chúa Cha đã sai Con Mình làm Ðấng Cứu Thế. Ai tuyên xưng Ðức Giêsu là Con Thiên Chúa, thì Thiên Chúa ở trong người ấy và người ấy ở trong Thiên Chúa. Còn chúng ta, chúng ta đã biết và tin nơi tình yêu của Thiên Chúa đối với chúng ta.\rThiên Chúa là Tình Yêu, và ai ở trong tình yêu, thì ở trong Thiên Chúa, và Thiên Chúa ở trong họ. Do đó, tình yêu của Thiên Chúa đã trọn vẹn đối với chúng ta, để chúng ta tin tưởng trong ngày phán xét, vì Người thế nào, thì chúng ta cũng thế ấy ở thế gian này. Nơi tình thương không có sự sợ hãi, nhưng tình thương trọn lành thì loại bỏ sợ hãi ra ngoài, vì sợ hãi mang theo hình phạt, và người nào sợ hãi thì không hoàn hảo trong tình thương.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 10. 12-13","response":"Ðáp: Lạy Chúa, muôn dân khắp mặt đất sẽ thờ lạy Chúa (c. 11).","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Các vua xứ Tác-xi và quần đảo sẽ mang lễ vật đến, các vua xứ Ả-rập và Saba sẽ đem triều cống lễ vật.","Xướng: Vì Người sẽ cứu thoát kẻ nghèo khó khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu thoát mạng sống kẻ cùng khổ."]},"alleluia":{"verse":" ","content":"alleluia! – Thiên Chúa đã sai tôi đi rao giảng tin mừng cho hạng nghèo khó, báo tin cho tù nhân được phóng thích. – Alleluia."},"gospel":{"excerpt":"Mc 6, 45-52","info":"“Họ thấy Người đi trên mặt biển”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"(Khi năm ngàn người đã được ăn no), Chúa Giêsu liền giục các môn đệ xuống thuyền, qua bờ bên kia trước mà đến Bếtsai-đa, đang khi Người giải tán dân chúng. Giải tán họ xong, Người lên núi cầu nguyện. Chiều đến, thuyền đã ra giữa biển, còn Người thì một mình ở trên đất. Khoảng canh tư đêm tối, Người thấy họ khó nhọc chèo chống vì ngược gió, Người đi trên mặt biển mà đến với họ, và Người muốn vượt qua trước họ. Họ thấy Người đi trên mặt biển, thì tưởng là ma, nên la hoảng lên. Vì ai nấy đều thấy Người và hoảng hốt, nên Người liền lên tiếng bảo họ rằng: “Hãy yên trí, chính Thầy đây, đừng sợ”. Rồi Người lên thuyền họ, và gió im lặng. Tâm hồn họ lại càng sửng sốt hơn, vì họ chưa hiểu gì về vấn đề bánh: lòng họ còn mù tối.","end":"Ðó là lời Chúa"}},
+        "6004": {"firstReading":{"excerpt":"1 Ga 4, 19 – 5, 4","info":"“Ai yêu mến Thiên Chúa thì cũng phải thương yêu anh em mình nữa”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, chúng ta hãy yêu mến Thiên Chúa, vì Người đã thương yêu chúng ta trước. Nếu ai nói mình yêu mến Thiên Chúa mà lại ghét anh em mình, thì là người nói dối. Vì người anh em mình xem thấy mà không thương yêu họ được, thì làm sao yêu mến Thiên Chúa là Ðấng mình không thấy được? Ðây là giới răn chúng ta lãnh nhận nơi Thiên Chúa: ai yêu mến Thiên Chúa, thì cũng phải thương yêu anh em mình nữa.\rHễ ai tin Chúa Giêsu là Ðấng Kitô, thì đã được sinh ra bởi Thiên Chúa. Vì hễ ai yêu mến Chúa là Ðấng đã sinh thành, thì cũng yêu mến những kẻ bởi Người mà sinh ra. Do điều này mà chúng ta biết mình yêu thương con cái Thiên Chúa, là hễ chúng ta yêu mến Thiên Chúa, thì chúng ta phải thực hành giới răn Người. Tình yêu Thiên Chúa là thế này: là chúng ta giữ các giới răn Người, và giới răn Người chẳng có nặng nề đâu. Hễ sự gì bởi Thiên Chúa mà sinh ra, thì thắng được thế gian, và đây là sự chiến thắng thế gian: đó là đức tin của chúng ta. Ai chiến thắng thế gian, nếu không phải kẻ tin Ðức Giêsu là Con Thiên Chúa?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 14 và 15bc. 17","response":"Ðáp: Lạy Chúa, muôn dân khắp mặt đất sẽ thờ lạy Chúa (x. c. 11).","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Người sẽ cứu tâm hồn họ khỏi bất công và đàn áp, giá máu của họ đáng kể trước mặt người. Họ sẽ cầu nguyện cho người luôn và sẽ chúc phúc người mãi mãi.","Xướng: Chúc tụng danh người đến muôn đời, danh người tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca ngợi người."]},"alleluia":{"verse":"Lc 7, 16","content":"alleluia! – Một Tiên tri cao cả đã xuất hiện giữa chúng ta và Thiên Chúa đã viếng thăm dân Người. – Alleluia."},"gospel":{"excerpt":"Lc 4, 14-22a","info":"“Hôm nay đã ứng nghiệm lời Kinh Thánh này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu trở về Galilêa trong quyền năng của Thánh Thần và danh tiếng Người đồn khắp miền xung quanh. Người giảng dạy trong các hội đường của họ, và ai nấy đều ca tụng Người. Người đến Nadarét là nơi Người sinh trưởng, và theo thói quen của Người, Người vào hội đường ngày Sabbat, và đứng dậy đọc sách. Người ta trao cho Người cuốn sách Tiên tri Isaia. Người mở sách và gặp chỗ có chép rằng: “Thánh Thần Chúa ở trên tôi, vì Chúa đã xức dầu cho tôi, sai tôi đi rao giảng tin mừng cho người nghèo khó, chữa lành những người sầu khổ trong tâm hồn, loan tin giải thoát cho kẻ bị giam cầm, cho người mù được thấy, giải thoát người bị áp chế, công bố năm hồng ân của Thiên Chúa”.\rNgười xếp sách lại, trao cho viên phụ trách, đoạn ngồi xuống. Mọi người trong hội đường đều đưa mắt chăm chú nhìn Người. Người bắt đầu nói với họ rằng: “Hôm nay đã ứng nghiệm lời Kinh Thánh tai các ngươi vừa nghe”. Và ai nấy đều công nhận lời Người và ngạc nhiên vì những lời hấp dẫn thốt ra từ miệng Người.","end":"Ðó là lời Chúa"}},
+        "6005": {"firstReading":{"excerpt":"1 Ga 5, 5-6. 8-13 (Hl 5-13)","info":"“Thánh Thần, nước và máu”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, ai là người chiến thắng thế gian, nếu không phải là người tin rằng Chúa Giêsu là Con Thiên Chúa? Ðấng đã đến nhờ nước và máu, chính là Ðức Giêsu Kitô, không phải trong nước mà thôi, nhưng trong nước và máu nữa. Có Thánh Thần làm chứng rằng Chúa Kitô là chân lý. Và trên mặt đất có ba nhân chứng: Thánh Thần, nước và máu, cả ba chỉ là một. Nếu chứng của người đời mà chúng ta còn nhận lấy, thì chứng của Thiên Chúa còn mạnh hơn. Vì đó là chứng của Thiên Chúa, chứng mạnh hơn là Người đã làm chứng về Con Mình.\rAi tin kính Con Thiên Chúa, thì có chứng của Thiên Chúa nơi mình. Còn ai không tin Thiên Chúa, thì cho Người là gian dối, vì kẻ ấy không tin nơi chứng mà Thiên Chúa đã làm chứng về Con Mình. Và chứng đó là thế này: Thiên Chúa đã ban cho chúng ta sự sống đời đời, và sự sống đó ở trong Con của Người. Ai có Chúa Con, thì có sự sống; còn ai không có Chúa Con, thì cũng không có sự sống. Ta viết các điều này cho các con, để các con biết rằng các con là những người tin vào danh Con Thiên Chúa, các con có sự sống đời đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20","response":"Ðáp: Giêrusalem hỡi, hãy ngợi khen Chúa (c. 12a).","verses":["Xướng: Giêrusalem hỡi, hãy ngợi khen Chúa! Hãy ngợi khen Thiên Chúa của ngươi, hỡi Sion! Vì Người đã giữ chặt các then cửa thành ngươi; Người đã chúc phúc cho con cái ngươi trong thành nội.","Xướng: Người sắp đặt bờ cõi ngươi trong thanh bình, cho ngươi hưởng no nê những tinh hoa lúa miến. Người đã sai Lời Người xuống cõi trần ai, và Lời Người lanh chai chạy rảo.","Xướng: Người đã loan truyền Lời Người cho Giacóp, những thánh chỉ và huấn lệnh Người cho Israel. Người đã không làm cho dân tộc nào như thế; Người đã không công bố cho họ các huấn lệnh của Người."]},"alleluia":{"verse":"1 Tm 3,36","content":"alleluia. – Lạy Chúa Kitô, Ðấng được rao giảng cho lương dân, vinh danh Chúa! Lạy Chúa Kitô, Ðấng được tin kính ở thế gian, vinh danh Chúa! – Alleluia."},"gospel":{"excerpt":"Lc 5, 12-16","info":"“Lập tức người ấy khỏi phong hủi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Xảy ra khi Chúa Giêsu đang ở trong một thành kia, thì có một người mình đầy phong hủi, thấy Chúa Giêsu, liền sấp mặt xuống đất, van xin Ngài rằng: “Lạy Thầy, nếu Thầy muốn, Thầy có thể cho tôi được sạch”. Người giơ tay chạm đến người ấy và nói: “Ta muốn, hãy nên trơn sạch”. Lập tức, người ấy khỏi phong hủi. Người ra lệnh cho người ấy không được nói với ai, nhưng: “Hãy đi trình diện với tư tế, và hãy dâng lễ vật như luật Môsê đã dạy, để làm chứng cho người ta biết ngươi được sạch”. Nhưng tiếng đồn về Người cứ lan rộng, và dân chúng đông đảo kéo nhau đến để nghe Người và được chữa lành bệnh tật. Còn Người, thì lánh vào nơi hoang vắng và cầu nguyện.","end":"Ðó là lời Chúa"}},
+        "6006": {"firstReading":{"excerpt":"1 Ga 5, 14-21","info":"“Chúa nhậm lời chúng ta kêu cầu”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, này là sự chúng ta tin tưởng nơi Chúa: là hễ chúng ta xin sự gì hợp ý Người, thì Người nhậm lời chúng ta. Và chúng ta biết Người nghe nhận mọi điều chúng ta xin, vì chúng ta biết rằng chúng ta có kêu cầu Người. Ai biết anh em mình phạm thứ tội không đưa tới sự chết, thì hãy cầu xin và Người sẽ ban sự sống cho kẻ phạm thứ tội đó. Có thứ tội đưa đến sự chết, tôi không bảo ai cầu xin cho người phạm tội ấy đâu. Mọi sự gian tà đều là tội, và có thứ tội đưa đến sự chết.\rChúng ta biết rằng ai sinh ra bởi Thiên Chúa, thì không phạm tội, chính sự sinh ra bởi Thiên Chúa gìn giữ họ, và ma quỷ không làm gì được họ. Chúng ta biết rằng chúng ta bởi Thiên Chúa mà ra, và toàn thể thế gian đều phục luỵ ma quỷ. Và chúng ta biết rằng Con Thiên Chúa đã đến và đã ban cho chúng ta ơn thông hiểu, để chúng ta nhận biết Chúa chân thật, và được ở trong Con chân thật của Người. Chính Ngài là Thiên Chúa chân thật và là sự sống đời đời. Các con thân mến, hãy giữ mình xa các tà thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5 và 6a và 9b","response":"Ðáp: Chúa yêu thương dân Người (c. 4a).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy vang lên lời khen ngợi trong công hội các tín đồ. Israel hãy vui mừng vì Ðấng tạo tác bản thân, con cái Sion hãy hân hoan vì vua của họ. – Ðáp.","Xướng: Họ hãy hoà nhạc để ngợi khen Người, hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang. – Ðáp.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang, hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa. – Ðáp."]},"alleluia":{"verse":"Dt 1, 1-2","content":"alleluia. – Thuở xưa, nhiều lần nhiều cách, Thiên Chúa đã dùng các tiên tri mà phán dạy cha ông, nhưng đến thời sau hết, tức là trong những ngày này, Người đã phán dạy chúng ta nơi người Con. – Alleluia."},"gospel":{"excerpt":"Ga 3, 22-30","info":"“Bạn hữu của tân lang vui mừng vì tiếng nói của tân lang”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu cùng các môn đệ Người đến đất Giuđêa. Người ở lại đó với họ và làm phép rửa. Cũng có Gioan làm phép rửa tại Ainon, gần Salim, vì ở đó có nhiều nước, và người ta đến để chịu rửa. Vì chưng, khi ấy Gioan chưa bị tống ngục. Xảy ra có cuộc tranh luận giữa các môn đệ của Gioan và người Do-thái về việc thanh tẩy. Họ đến cùng Gioan và nói với ông: “Thưa Thầy, người đã ở với Thầy bên kia sông Giođan, mà Thầy đã làm chứng cho, nay cũng làm phép rửa và ai nấy đều đến cùng người!” Gioan trả lời rằng: “Người ta không tiếp nhận gì mà không phải bởi trời ban cho. Chính các ngươi đã làm chứng cho tôi là tôi đã nói: Tôi không phải là Ðấng Kitô, nhưng tôi được sai đến trước Người. Ai cưới vợ, thì là người chồng, còn bạn hữu của tân lang đứng mà nghe tân lang nói thì vui mừng vì tiếng nói của tân lang. Vậy niềm vui của tôi như thế là đầy đủ. Người phải lớn lên, còn tôi phải nhỏ lại”.","end":"Ðó là lời Chúa"}},
+        "20201": {"firstReading":{"excerpt":"1Ga 2, 22-28","info":"“Ước gì điều các con đã nghe từ ban đầu, vẫn ở lại mãi trong các con”","title":"Bài trích thơ thứ nhất của Thánh Gio-an Tông Ðồ.","content":"Các con thân mến, ai là kẻ nói dối, nếu chẳng phải là kẻ không nhìn nhận Chúa Giê-su là Ðức Ki-tô?\rAi không nhận Chúa Cha và Chúa Con, chính nó là Phản Ki-tô, ai không nhận Chúa Con, thì cũng không được có Chúa Cha. Còn ai tuyên xưng Chúa Con thì cũng được có Chúa Cha. Còn ai tuyên xưng Chúa Con thì cũng được có Chúa Cha.\rPhần các con, ước gì điều các con đã nghe từ ban đầu, vẫn ở lại mãi trong các con.\rNếu điều các con đã nghe từ ban đầu vẫn ở lại trong các con, thì các con cũng được ở lại trong Chúa Con và Chúa Cha nữa. Và này là điều Người đã hứa cho chúng ta, đó là sự sống đời đời.\rTa đã viết những điều này cho các con biết về những người lừa dối các con.\rVề phần các con, việc xức dầu mà các con đã nhận lãnh nơi Người vẫn ở lại trong các con, nên các con không cần ai dạy dỗ, nhưng như việc xức dầu của Người đã dạy các con mọi sự, và lại là sự thật, chứ không phải sự dối trá, nên như các con đã được dạy dỗ, hãy ở lại trong Người.\rVà giờ đây, hỡi các con bé nhỏ, hãy ở lại trong Người, để khi Người tỏ hiện, chúng ta được dạn dĩ, không phải xấu hổ lìa xa Người, lúc Người đến.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97,1.2-3a, 3cd-4","response":"Ðáp: (3c) Mọi dân trên khắp cùng bờ cõi trái đất, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta.","verses":["Xướng: Hãy ca tụng Chúa một bài ca mới, vì Người đã thực hiện những việc lạ lùng. Tay mặt Người đã đem lại toàn thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ, đã tỏ sự công chính Người trước mặt chư dân. Người đã nhớ lại lòng nhân hậu và trung thành đối với nhà Ít-ra-en. – Ðáp.","Xướng: Mọi dân trên khắp cùng bờ cõi trái đất, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu, hãy hân hoan mừng Chúa, hãy mừng vui, hoan lạc và đàn ca."]},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia – Ngôi Lời đã làm người và ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. Alleluia."},"gospel":{"excerpt":"Ga 1, 19-28","info":"“Có một Ðấng sẽ đến sau tôi, nhưng chính Ðấng đó đã có trước tôi”","title":"Bài trích Phúc Âm theo Thánh Gio-an.","content":"Ðây là chứng của Gio-an, khi những người Do thái từ Giê-ru-sa-lem sai các vị tư tế và các Thầy Lê-vi đến hỏi ông: “Ông là ai?”\rÔng liền tuyên xưng, ông không chối, ông tuyên xưng rằng: “Tôi không phải là Ðấng Ki-tô”.\rHọ liền hỏi: “Như vậy là thế nào? Ông có phải là Ê-li-a chăng?”\rGioan trả lời: “Tôi không phải là Ê-li-a”.\r“Hay ông là một đấng tiên tri?”\rGio-an đáp: “Không phải”.\rHọ liền bảo: “Vậy ông là ai, để chúng tôi trả lời cho những người sai chúng tôi. Ông tự xưng là ai?”\rGio-an đáp: “Tôi là tiếng kêu trong hoang địa: Hãy sửa cho ngay đường Chúa đi, như tiên tri I-sai-a đã loan báo”.\rVà những người đã được sai đến đều thuộc nhóm biệt phái.\rHọ hỏi Gio-an rằng: “Nếu ông không phải là Ðức Ki-tô, cũng không là Ê-li-a, hay một tiên tri, vậy tại sao ông làm phép rửa?”\rGio-an trả lời: “Tôi làm phép rửa trong nước; nhưng giữa các ngươi, có Ðấng mà các ngươi không biết.\rÐấng ấy sẽ đến sau tôi, nhưng chính Ðấng đó đã có trước tôi, và tôi không xứng đáng cởi dây giày cho Người”.\rViệc này xảy ra tại Bê-ta-ni-a, bên kia sông Gio-đan, nơi Gio-an làm phép rửa.","end":"Ðó là lời Chúa"}},
+        "20301": {"firstReading":{"excerpt":"1 Ga 2,29-3,6","info":"“Bất cứ ai ở trong Người đều không phạm tội”.","title":"Bài trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, nếu các con biết Người là Ðấng công chính, thì các con hãy biết rằng bất cứ ai thực hành sự công chính, đều bởi Người mà sinh ra.\rCác con hãy coi: tình yêu của Chúa Cha đối với chúng ta thế nào, khiến chúng ta được gọi là con Thiên Chúa và sự thật là thế.\rVì đó mà thế gian không nhận biết chúng ta, vì thế gian không biết Người.\rCác con thân mến, hiện nay, chúng ta là con Thiên Chúa, còn chúng ta sẽ ra sao thì vẫn chưa được tỏ ra.\rChúng ta biết rằng: khi được tỏ ra, thì chúng ta sẽ giống như Người, vì Người thế nào, chúng ta sẽ thấy như vậy.\rVà bất cứ ai đặt hy vọng nơi Người, thì tự thánh hóa mình cũng như Người là Ðấng Thánh.\rHễ ai phạm tội, thì cũng làm điều gian ác, vì tội là sự gian ác.\rCác con biết rằng: Người đã xuất hiện để hủy diệt tội lỗi chúng ta.\rBất cứ ai ở trong Người, thì không phạm tội, và bất cứ ai phạm tội, thì không thấy cũng không nhận biết Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 97,1.3cd-4,5-6","response":"Ðáp: Mọi dân trên khắp cùng bờ cõi trái đất, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta.","verses":["Xướng: Hãy ca tụng Chúa một bài ca mới, vì Người đã thực hiện những việc lạ lùng. Tay mặt Người đã đem lại toàn thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Mọi dân trên khắp cùng bờ cõi trái đất, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu, hãy hân hoan mừng Chúa, hãy vui mừng, hoan lạc và đàn ca.","Xướng: Hãy ca mừng Chúa với đàn cầm thụ, với đàn cầm thụ, với nhạc cụ rân ran; Hãy thổi sáo và túc tù và, hân hoan trước thánh nhan Chúa là Vua."]},"alleluia":{"verse":" ","content":"Alleluia – Ngày thánh đã dọi ánh sáng trên chúng ta, hỡi các dân, hãy tới thờ lạy Chúa, vì hôm nay ánh sáng chan hòa đã tỏa xuống trên địa cầu. – Alleluia."},"gospel":{"excerpt":"Ga 1, 29-34","info":"“Ðây Chiên Thiên Chúa”","title":"Bài trích Phúc Âm theo Thánh Gio-an.","content":"Ngày hôm sau, Gio-an thấy Chúa Giê-su đến với mình thì nói: Ðây Chiên Thiên Chúa, đây Ðấng xóa tội trần gian.\rÐây chính là Ðấng mà tôi đã nói rằng: Có người đến sau tôi, nhưng cao trọng hơn tôi, vì Người vốn có trước tôi.\rPhần tôi, trước tôi không biết Người, nhưng tôi đã đến làm phép rửa bằng nước, để Người được tỏ mình ra trong Israel.\rVà Gio-an đã làm chứng rằng: Tôi đã thấy Thánh Thần như con chim bồ câu từ trời xuống ngự trên Người.\rVà trước tôi không biết Người, nhưng Ðấng đã sai tôi làm phép rửa trong nước bảo tôi: Ngươi thấy Thánh Thần ngự xuống trên ai, thì chính người đó là Ðấng làm phép rửa trong Thánh Thần.\rTôi đã thấy và làm chứng rằng: Người là Con Thiên Chúa.","end":"Ðó là lời Chúa"}},
+        "20401": {"firstReading":{"excerpt":"1 Ga 3, 7-10","info":"“Người ấy không phạm tội được, vì đã sinh ra bởi Thiên Chúa”.","title":"Bài trích thơ thứ nhất của Thánh Gio-an Tông Ðồ.","content":"Hỡi các con bé nhỏ, đừng để ai lừa gạt các con.\rAi thi hành sự công chính là người công chính, cũng như chính Người là Ðấng công chính.\rAi phạm tội thì bởi qủy mà ra, vì qủy là kẻ phạm tội từ ban đầu.\rCon Thiên Chúa đã xuất hiện để phá hủy công việc của ma qủy.\rBất cứ ai đã sinh ra bởi Thiên Chúa, thì không phạm tội, vì mầm giống của Người ở trong kẻ ấy.\rKẻ ấy không phạm tội được, vì đã bởi Thiên Chúa mà sinh ra.\rDo đó, mà nhận ra được con của Thiên Chúa và con cái ma quỷ.\rBất cứ ai không phải là người công chính, và không thương yêu anh em mình, thì không bởi Thiên Chúa mà ra.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 97,7-8,9","response":"Ðáp: Mọi dân trên khắp cùng bờ cõi trái đất, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta.","verses":["Xướng: Hãy gầm lên, biển cả và mọi vật dưới biển, cả vũ trụ với vạn vật dân cư. Sông ngòi, hãy vổ tay mừng, núi non, hãy đồng nhảy mừng. – Ðáp.","Xướng: cầu, Người thống trị địa cầu cách công minh, Người thống trị muôn dân cách chính trực. – Ðáp."]},"alleluia":{"verse":" ","content":"Alleluia. – Thủa xưa, nhiều lần và nhiều cách, Thiên Chúa đã dùng các tiên tri mà nói với cha ông, nhưng đến thời sau hết, Người đã nói nơi Chúa Con. Alleluia."},"gospel":{"excerpt":"Ga 1,35-42","info":"“Chúng tôi đã gặp Ðấng Cứu Thế”.","title":"Bài trích Phúc Âm theo Thánh Gio-an.","content":"Khi ấy, Gio-an đang đứng với hai người trong nhóm môn đệ của ông nhìn theo Chúa Giê-su đang đi mà nói: Ðây là Chiên Thiên Chúa.\rHai môn đệ nghe ông nói liền đi theo Chúa Giê-su, Chúa Giê-su ngoảnh mặt lại, thấy họ đi theo mình, thì nói với họ: “Các ngươi tìm gì?”\rHọ thưa với Người: “Rabbi, nghĩa là thưa Thầy, Thầy ở đâu?”\rNgười đáp: “Hãy đến mà xem”.\rHọ đã đến và xem chỗ Người ở, và ở lại với Người ngày hôm ấy, lúc đó độ chừng giờ thứ mười.\rAnrê, em ông Si-mon Phê-rô, một trong hai người đã nghe Gio-an nói và đã đi theo Chúa Giê-su.\rÔng gặp Si-mon anh mình trước hết và nói với anh: “Chúng tôi đã gặp Ðấng Mê-si-a, nghĩa là Ðấng Ki-tô”.\rVà ông dẫn anh mình tới Chúa Giê-su.\rChúa Giê-su nhìn Si-mon và nói: “Ngươi là Si-mon, con ông Gio-an, ngươi sẽ được gọi là Kê-pha, nghĩa là Ðá”.","end":"Ðó là lời Chúa"}},
+        "20501": {"firstReading":{"excerpt":"1 Ga 3, 11-21","info":"“Chúng ta đã được chuyển từ cõi chết đến cõi sống, vì chúng ta thương yêu anh em”.","title":"Bài trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, đây sứ điệp các con đã nghe từ ban đầu là chúng ta phải thương yêu nhau.\rKhông như Ca-in, người thuộc về ma qủy, nên đã giết em mình.\rNhưng tại sao nó đã giết em? Vì công việc nó làm là gian ác, còn công việc của em nó thì chính trực.\rCác con đừng ngạc nhiên, nếu thế gian ghét các con.\rChúng ta biết rằng chúng ta đã được chuyển từ cõi chết đến cõi sống, vì chúng ta thương yêu anh em.\rAi không yêu thương, thì ở trong cõi chết.\rHễ ai ghét anh em mình đều là kẻ sát nhân, và các con biết rằng mọi kẻ sát nhân không có sự sống đời đời ở trong mình.\rDo điều này mà chúng ta đã biết tình yêu của Thiên Chúa là chính Người đã thí mạng sống mình vì chúng ta, nên chúng ta cũng phải thí mạng sống mình cho anh em.\rNếu ai có của cải đời này mà thấy anh em mình túng thiếu, lại đóng cửa lòng mình đối với họ, thì làm sao tình yêu của Thiên Chúa ở trong người ấy được?\rCác con thân mến, chúng ta đừng yêu bằng lời nói và miệng lưỡi, nhưng bằng việc làm và chân thật.\rDo đó chúng ta biết mình thuộc về sự thật, và sẽ được vững lòng trước mặt Chúa.\rVì nếu lòng chúng ta có khiển trách chúng ta, thì Thiên Chúa còn lớn hơn lòng chúng ta và Người thông biết mọi sự.\rCác con thân mến, nếu lòng chúng ta không khiển trách, thì chúng ta tin tưởng nơi Thiên Chúa, và bất cứ điều gì chúng ta xin, thì chúng ta cũng được Người ban cho, vì chúng ta giữ giới răn Người và làm điều đẹp lòng Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 99,2,3, 4,5","response":"Ðáp: Toàn thể địa cầu, hãy reo mừng Thiên Chúa.","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Thiên Chúa, hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan với lòng hân hoan khoái trá.","Xướng: Hãy biết rằng Thiên Chúa là Thượng Ðế, chính Ngài đã tạo tác thân ta và ta thuộc quyền sở hữu của Ngài.","Xướng: Ta là dân tộc, là đoàn chiên Chúa chăn nuôi, hãy vào trụ quan nhà Ngài với lời khen ngợi, vào hành lang với khúc ca vui, hãy tán dương, hãy chúc tụng danh Ngài.","Xướng: Vì Thiên Chúa, Ngài thiện hảo, lòng từ bi Ngài tồn tại muôn đời, và lòng trung tín còn tới muôn muôn thế hệ."]},"alleluia":{"verse":" ","content":"Alleluia. – Ngày thánh đã dọi ánh sáng trên chúng ta, hỡi các dân, hãy tới thờ lạy Chúa, vì hôm nay ánh sáng chan hòa đã tỏa xuống trên địa cầu. – Alleluia."},"gospel":{"excerpt":"Ga 1,43-51","info":"“Thầy là Con Thiên Chúa, là Vua Ít-ra-en”","title":"Bài trích Phúc Âm theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su định đi Ga-li-lê-a.\rNgười gặp Phi-líp-phê và nói với ông: “Hãy theo Ta”.\rPhi-líp-phê là người thành Bết-sai-đa, quê quán của An-rê và Phê-rô.\rPhi-líp-phê gặp Na-tha-na-en và nói với ông: “Ðấng đã được Môi-sen ghi trong Luật và các tiên tri nói đến, chúng tôi đã gặp rồi: đó là Giê-su con ông Giu-se, người thành Na-da-rét”.\rNa-tha-na-en đáp: “Bởi Na-da-rét nào có cái chi hay?”.\rPhi-líp-phê nói: “Hãy đến mà xem”.\rChúa Giê-su thấy Na-tha-na-en đi tới mình, thì nói về ông: “Ðây thật là người Ít-ra-en, nơi ông không có gì gian dối”.\rNa-tha-na-en đáp: “Sao Ngài biết tôi?”\rChúa Giê-su trả lời rằng: “Trước khi Phi-líp-phê gọi ngươi, lúc ngươi còn ở dưới cây vả, thì Ta đã thấy ngươi”.\rNa-tha-na-en thưa lại rằng: “Lạy Thầy, Thầy là Con Thiên Chúa, là Vua Ít-ra-en”.\rChúa Giê-su trả lời: “Vì Ta đã nói với ngươi rằng: ta đã thấy ngươi dưới gốc cây vả, nên ngươi tin, ngươi sẽ thấy việc cao trọng hơn thế nữa”.\rVà Người nói với ông: “Quả thật, quả thật, Ta nói với các ngươi, các ngươi sẽ thấy trời mở ra, và các Thiên Thần Chúa lên xuống trên Con Người”.","end":"Ðó là lời Chúa"}},
+        "20601": {"firstReading":{"excerpt":"1 Ga 5,5-6.8-13","info":"“Thánh Thần, nước và máu”","title":"Bài trích thơ thứ nhất của Thánh Gio-an Tông Ðồ.","content":"Các con thân mến, ai là người chiến thắng thế gian, nêu không phải là người tin rằng Chúa Giê-su là Con Thiên Chúa?\rÐấng đã đến nhờ nước và máu, chính là Ðức Giê-su Ki-tô, không phải trong nước mà thôi, nhưng trong nước và máu nữa.\rCó Thánh Thần làm chứng: Thánh Thần, nước và máu, cả ba chỉ là một.\rNếu chứng của Người đời mà chúng ta còn nhận lấy, thì chứng của Thiên Chúa còn mạnh hơn.\rVì đó là chứng của Thiên Chúa, chứng mạnh hơn là Người đã làm chứng về Con mình.\rAi tin kính Con Thiên Chúa, thì có chứng của Thiên Chúa nơi mình.\rCòn ai không tin Thiên Chúa, thì cho Người là gian dối, vì kẻ ấy không tin nơi chứng mà Thiên Chúa đã làm chứng về Con mình.\rVà chứng đó là thế này: Thiên Chúa đã ban cho chúng ta sự sống đời đời, và sự sống đó ở trong Con của Người.\rAi có Chúa Con, thì có sự sống, còn ai không có Chúa Con, thì cũng không có sự sống.\rTa viết các điều này cho các con, để các con biết rằng: Các con là những người tin vào danh Con Thiên Chúa, các con được sống đời đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 147, 12-13, 14-15, 19-20","response":"Ðáp: Giê-ru-sa-lem hỡi, hãy ngợi khen Chúa.","verses":["Xướng: Giê-ru-sa-lem hỡi, hãy ngợi khen Chúa, Hãy ngợi khen Thiên Chúa ngươi, hỡi Si-on, vì Người đã củng cố then chốt cửa thành ngươi, con cái ngươi được Người chúc phúc trong ngươi.","Xướng: Người sắp đặt bờ cõi ngươi trong thanh bình, cho ngươi hưởng no nê những tinh hoa lúa miến. Người đã sai Lời Người xuống mặt đất, và Lời Người đã mau mắn chạy đi.","Xướng: Người đã rao Lời Người cho Gia-cóp, Lề Luật và giới răn người cho Ít-ra-en. Người không làm như thế cho dân khác, không bày tỏ cho họ biết giới răn Người."]},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia. Ngôi Lời đã làm người và ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 1, 6b-11","info":"“Con là con yêu quý của Cha, con đẹp lòng Cha mọi đàng”.","title":"Bài trích Phúc Âm theo Thánh Mác-cô.","content":"Khi ấy Gio-an rao giảng rằng: “Có Ðấng đến sau tôi, nhưng quyền lực hơn tôi, tôi không xứng đáng cúi xuống cởi dây giày cho Người.\rPhần tôi, tôi đã rửa anh em trong nước, nhưng Người, Người sẽ rửa anh em trong Thánh Thần.\rVà đã xảy ra là trong những ngày đó, Chúa Giê-su từ Na-da-rét xứ Ga-li-lê-a đến và chịu phép rửa bởi Gio-an ở sông Gio-đan.\rKhi vừa lên khỏi nước, Người liền thấy trời mở ra, thấy Thánh Thần như chim bồ câu ngự xuống trên mình.\rVà có tiếng từ trời: Con là con yêu quí của Cha, con đẹp lòng Cha mọi đàng.","end":"Ðó là lời Chúa"}},
+        "20701": {"firstReading":{"excerpt":"1 Ga 5, 14-21","info":"“Chúa nhậm lời chúng ta kêu cầu”.","title":"Bài trích thư thứ nhất của Thánh Gioan Tông Ðồ.","content":"Các con thân mến, nầy là sự chúng ta tin tưởng nơi Chúa: là hễ chúng ta xin sự gì hợp ý Người, thì Người nhậm lời chúng ta. Và chúng ta biết Người nghe nhận mọi điều chúng ta xin, vì chúng ta biết rằng chúng ta có kêu cầu Người. Ai biết anh em mình phạm thứ tội không đưa tới sự chết, thì hãy cầu xin và Người sẽ ban sự sống cho kẻ phạm thứ tội đó. Có thứ tội đưa đến sự chết, tôi không bảo ai cầu xin cho người phạm tội ấy đâu. Mọi sự gian tà đều là tội, và có thứ tội đưa đến sự chết. Chúng ta biết rằng ai sinh ra bởi Thiên Chúa, thì không phạm tội, chính sự sinh ra bởi Thiên Chúa gìn giữ họ và ma quỷ không làm gì được họ. Chúng ta biết rằng chúng ta bởi Thiên Chúa mà ra, và toàn thể thế gian đều phục lụy ma quỷ. Và chúng ta biết rằng Con Thiên Chúa đã đến và đã ban cho chúng ta ơn thông hiểu, để chúng ta nhận biết Chúa chân thật, và được ở trong Con chân thật của Người. Chính Ngài là Thiên Chúa chân thật và là sự sống đời đời. Các con thân mến, hãy giữ mình xa các tà thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 149,1-2, 3-4, 5 và 6a và 9b","response":"Ðáp: Thiên Chúa vui thích ở giữa dân Người. (4a)","verses":["1) Hãy ca ngợi Chúa bằng một khúc ca mới, hãy vang lời ca tụng Người giữa đoàn các thánh. Hỡi Israel, hãy vui mừng vì Ðấng tạo thành mình, con cái Sion, hãy nhảy mừng vì nhà vua của mình.","2) Hãy ca tụng Người trong vũ điệu, hát ca vịnh mừng Người theo nhịp trống cung đàn. Vì Thiên Chúa vui thích ở giữa dân Người, ban chiến thắng huy hoàng cho kẻ khiêm tốn.","3) Thần dân Người sung sướng hân hoan, đồng ca hát cả trên giường nghỉ. Miệng họ cao rao sự cao trọng của Thiên Chúa, vinh dự thay cho các thánh của Người."]},"alleluia":{"verse":" ","content":"Alleluia. – Thuở xưa, nhiều lần nhiều cách, Thiên Chúa đã dùng các tiên tri mà nói với cha ông, nhưng đến thời sau hết, Người đã nói nơi Chúa Con. – Alleluia."},"gospel":{"excerpt":"Ga 2, 1-12","info":"“Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa”","title":"Bài trích Phúc Âm theo Thánh Gioan.","content":"Khi ấy có tiệc cưới tại Cana xứ Galilêa. Và có mẹ của Chúa Giêsu ở đó. Chúa Giêsu và các môn đệ Người cũng được mời dự tiệc cưới. Và bỗng thiếu rượu, mẹ Chúa Giêsu nói với Người: “Họ hết rượu rồi”. Chúa Giêsu nói với mẹ: “Hỡi bà, tôi với bà có can chi đâu, giờ tôi chưa đến”. Mẹ Người nói với những người giúp việc: “Hễ Người bảo gì, phải làm theo”. Ở đó có sáu chum đá, dùng vào việc thanh tẩy của người Do thái, mỗi chum đựng được hai hoặc ba thùng nước. Chúa Giêsu bảo họ: “Hãy đổ nước đầy các chum”. Họ đổ đầy tới miệng. Và Chúa Giêsu bảo họ: “Bây giờ hãy múc đem cho người quản tiệc”, và họ đã đem đi. Khi người quản tiệc nếm thử nước đã hóa thành rượu, ông không biết tự đâu ra, nhưng những người giúp việc đã múc nước thì biết, ông mới gọi tân lang mà nói::Ai cũng đều đem rượu ngon ra trước, khi khách đã ngà ngà thì mới đem rượu xoàng hơn. Còn ông, ông lại giữ rượu ngon cho tới giờ này”. Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa, và đã tỏ vinh quang Người và các môn đệ Người tin Người.","end":"Ðó là lời Chúa"}},
+        "21712": {"firstReading":{"excerpt":"St 49, 2. 8-10","info":"“Phủ việt sẽ không cất khỏi Giuđa”.","title":"Bài trích sách Sáng Thế.","content":"Ngày ấy, Gia-cóp triệu tập con cái lại và nói rằng: “Hỡi con cái Gia-cóp, hãy hợp lại và nghe cha đây. Hỡi nhà Ít-ra-en, hãy nghe lời cha của các con. Giu-đa, anh em con sẽ ca tụng con. Bàn tay con sẽ đè trên ót quân thù; con cái của cha con sẽ phục lạy con. Giu-đa là sư tử con, hỡi con của cha, con đã chồm lên bắt mồi, con đã nằm xuống nghỉ ngơi, như giống sư tử đực, tựa nòi sư tử cái, ai dám khiêu khích nó? Phủ việt sẽ không cất khỏi Giu-đa, gậy chỉ huy không rời khỏi chân nó, cho đến lúc Ðấng thiên sai ngự đến, là Ðấng chư dân đợi trông”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 3-4ab. 7-8. 17","response":"Ðáp: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người tới muôn đời (x. c. 7).","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người xét đoán dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Núi non đem an hoà cho dân, và nổng đồi mang lại đức công chính. Người bênh chữa kẻ hèn trong dân, và cứu thoát con cái nhóm nghèo. – Ðáp.","Xướng: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người, cho đến khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất.","Xướng: Chúc tụng danh người đến muôn đời, danh người còn tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca ngợi người."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Ðức Thượng Trí của Ðấng Tối Cao, Ngài an bài mọi sự cách mạnh mẽ và dịu dàng, xin hãy đến dạy dỗ chúng con con đường khôn ngoan. – Alleluia."},"gospel":{"excerpt":"Mt 1, 1-17","info":"“Gia phả của Chúa Giê-su Ki-tô, con vua Ða-vít”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Sách gia phả của Chúa Giê-su Ki-tô, con vua Ða-vít, con của Áp-ra-ham. Áp-ra-ham sinh I-xa-ác; I-xa-ác sinh Gia-cóp; Gia-cóp sinh Giu-đa và các anh em người. Giu-đa sinh Pe-rét và De-rác bởi bà Ta-ma; Pe-rét sinh Khét-xơ-ron; Khét-xơ-ron sinh A-ram; A-ram sinh A-mi-na-đáp; A-mi-na-đáp sinh Nác-son; Nác-son sinh Xan-môn; Xan-môn sinh Bô-át do bà Ra-kháp; Bô-át sinh Ô-vết do bà Rút. Ô-vết sinh Giê-sê; Giê-sê sinh vua Ða-vít.\rÐa-vít sinh Sa-lô-môn do bà vợ của U-ri-a; Sa-lô-môn sinh Rơ-kháp-am; Rơ-kháp-am sinh Abia; Abia sinh Asa; Asa sinh Giosaphát; Giosaphát sinh Gioram; Gioram sinh Ozia; Ozia sinh Gioatham; Gioatham sinh Achaz; Achaz sinh Ezekia; Ezekia sinh Manas-se; Manasse sinh Amos; Amos sinh Giosia; Giosia sinh Giêconia và các em trong thời lưu đày ở Ba-by-lon.\rSau thời lưu đày ở Babylon, Giêconia sinh Salathiel; Sala-thiel sinh Zorababel; Zorababel sinh Abiud; Abiud sinh Eliakim; Eliakim sinh Azor; Azor sinh Sađoc; Sađoc sinh Akim; Akim sinh Eliud; Eliud sinh Eleazar; Eleazar sinh Mathan; Mathan sinh Gia-cóp; Gia-cóp sinh Giu-se, là bạn của Ma-ri-a, mẹ của Chúa Giê-su gọi là Ðức Ki-tô.\rVậy, từ Áp-ra-ham đến Ða-vít có tất cả mười bốn đời, từ Ða-vít đến cuộc lưu đày ở Ba-by-lon có mười bốn đời, và từ cuộc lưu đày ở Ba-by-lon cho đến Chúa Ki-tô có mười bốn đời.","end":"Ðó là lời Chúa"}},
+        "21812": {"firstReading":{"excerpt":"Gr 23, 5-8","info":"“Ta sẽ gây cho Ða-vít một mầm giống công chính”.","title":"Bài trích sách Tiên tri Giê-rê-mi-a.","content":"Này đây, đã tới những ngày Ta gây cho Ða-vít một mầm giống công chính, mầm giống này sẽ làm vua thống trị, sẽ là người khôn ngoan, thực hiện công lý và đức công bình trên đất nước. Những ngày ấy, Giu-đa sẽ được cứu thoát, Ít-ra-en sẽ được an cư, và chúng sẽ gọi tên Người là “Chúa công bình của chúng ta”.\rChúa phán: “Vì thế, đã đến ngày chúng không còn nói được rằng: “Chúa hằng sống, Người đã đưa con cái Ít-ra-en ra khỏi đất Ai-cập”, nhưng chúng nói: “Chúa hằng sống, Người đã đưa dòng dõi nhà Ít-ra-en ra khỏi đất Bắc”; (và) từ các nước chúng bị Ta phân tán, Ta dẫn đưa chúng về quê hương.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 12-13. 18-19","response":"Ðáp: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người tới muôn.","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người xét đoán dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực..","Xướng: Người sẽ giải thoát kẻ nghèo khó khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu thoát mạng sống kẻ cùng khổ.","Xướng: Chúc tụng Chúa là Thiên Chúa Israel, một mình Người làm những việc lạ lùng. Chúc tụng muôn đời vinh danh Chúa, khắp hoàn cầu đầy dẫy vinh quang Người."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Ðấng Thủ lãnh nhà Israel, Ngài đã ban lề luật cho Môsê trên núi Sinai, xin hãy đến mà ra tay cứu chuộc chúng con. – Alleluia."},"gospel":{"excerpt":"Mt 1, 18-24","info":"“Chúa Giêsu sẽ sinh bởi Ðức Trinh Nữ Maria, vị hôn thê của Thánh Giuse, thuộc dòng dõi Ðavít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Chúa Ki-tô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Ma-ri-a đính hôn với Giu-se, trước khi về chung sống với nhau, đã thụ thai bởi phép Chúa Thánh Thần. Giu-se bạn của Bà là người công chính, không muốn tố cáo Bà, định tâm lìa bỏ Bà cách kín đáo. Nhưng đang khi định tâm như vậy, thiên thần Chúa hiện đến cùng ông trong giấc mơ và bảo: “Hỡi Giu-se, con vua Ða-vít, đừng ngại nhận Ma-ri-a về nhà làm bạn mình, vì Maria mang thai bởi phép Chúa Thánh Thần: Bà sẽ hạ sinh một con trai mà ông sẽ đặt tên là Giê-su, vì chính Người sẽ cứu dân mình khỏi tội”.\rTất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng: “Này đây một trinh nữ sẽ mang thai và hạ sinh một con trai, người ta sẽ gọi tên con trẻ là Em-ma-nu-en, nghĩa là Thiên-Chúa-ở-cùng-chúng-ta”.\rKhi tỉnh dậy, Giu-se đã thực hiện như lời thiên thần Chúa truyền: Ông tiếp nhận bạn mình, nhưng không ăn ở với nhau cho đến khi Ma-ri-a sinh con trai đầu lòng, thì Giu-se đặt tên con trẻ là Giê-su.","end":"Ðó là lời Chúa"}},
+        "21912": {"firstReading":{"excerpt":"Judic 13, 2-7, 24-25a","info":"“Thiên Thần báo trước việc Sam-son sinh ra”.","title":"Bài trích sách các Thẩm Phán.","content":"Ngày ấy có một người đàn ông, bởi đất Sa-ra và thuộc chi họ Ðan, tên là Ma-nu-en, có người vợ son sẻ.\rThiên Thần Chúa hiện ra nói với bà ấy rằng: “Ngươi son sẻ không con; nhưng sẽ được thụ thai, và hạ sinh một con trai.\rVậy ngươi hãy cẩn thận, đừng uống rượu và thức có men, cũng đừng ăn món gì không thanh sạch.\rVì ngươi sẽ được thụ thai, và hạ sinh một con trai.\rLưỡi dao cạo sẽ không chạm đến đầu nó; nó là người được hiến dâng cho Thiên Chúa từ thuở nhỏ và từ lòng mẹ; chính nó sẽ bắt đầu giải phóng Israel khỏi tay người Phi-li-tinh.”\rBà nầy đi nói với chồng rằng: “Có một người của Thiên Chúa đến cùng tôi, với diện mạo Thiên Thần, rất đáng sợ.\rTôi hỏi người ấy là ai, bởi đâu đến, gọi tên gì.\rNgười ấy không muốn nói cho tôi biết.\rNhưng lại trả lời rằng: “Rồi đây, ngươi sẽ được thụ thai và hạ sinh một con trai: hãy cẩn thận, đừng uống rượu và thức có men, cũng đừng ăn món gì không thanh sạch.\rVì con trẻ sẽ là người được hiến dâng cho Thiên Chúa từ thuở nhỏ và từ trong lòng mẹ, cho đến ngày nó chết”.\rBà đã hạ sinh một con trai, và gọi tên là Sam-son.\rHài nhi lớn lên, và Chúa đã chúc phúc cho nó.\rVà thần tri Chúa bắt đầu ở với nó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 70, 3-4a, 5.6ab, 16-17","response":"Ðáp: Xin cho miệng tôi chứa chan lời khen ngợi, để tôi ca tụng vinh quang của Chúa.","verses":["Xướng: Lạy Chúa, xin hãy nên núi đá trú ẩn và thành trì kiên cố cho tôi, để cứu tôi: Vì Chúa là núi đá và thành trì của tôi. Lạy Chúa, xin giựt tôi khỏi bàn tay gian ác.","Xướng: Vì Chúa là Ðấng tôi mong đợi, lạy Thiên Chúa của tôi! Lạy Chúa là Ðấng tôi cậy trông, từ thời còn niên thiếu. Từ lòng mẹ, tôi nương tựa nơi Chúa, từ dạ mẹ, Chúa là Ðấng bảo vệ tôi.","Xướng: Tôi sẽ thuật lại quyền năng Thiên Chúa, lạy Chúa, tôi ghi nhớ sự công chính của một mình Chúa, lạy Chúa, Chúa đã dạy tôi từ thời còn niên thiếu, các kỳ công Chúa, tôi cao rao đến bây giờ."]},"alleluia":{"verse":" ","content":"alleluia – Hỡi gốc Giê-sê, Chúa đang đứng như báo hiệu của chư dân, xin hãy đến cứu thoát chúng tôi, và đừng trì hoãn nữa.- Alleluia."},"gospel":{"excerpt":"Lc 1, 5-25","info":"“Thiên Thần Gáp-ri-en báo trước việc Gio-an Tẩy Giả sinh ra”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Vào thời Hê-rô-đê làm vua xứ Giu-đê-a, có một tư tế tên là Da-ca-ri-a, thuộc phiên ban A-vi-gia, và vợ ông bởi dòng dõi A-ha-ron, tên là Ê-li-sa-bét.\rCả hai là người công chính trước mặt Thiên Chúa, ăn ở theo mọi giới răn và lề luật của Chúa, không ai trách được điều gì.\rNhưng họ lại không con, vì Ê-li-sa-bét son sẻ, và cả hai đã đến tuổi già.\rXảy ra khi Da-ca-ri-a chu toàn chức vụ tư tế trước mặt Thiên Chúa, theo lượt của phiên mình như tục lệ hàng tư tế, ông bắt thăm và trúng việc vào cung thánh Chúa mà dâng hương.\rÐang lúc toàn thể đám đông dân chúng cầu nguyện bên ngoài, trong giờ dâng hương.\rBấy giờ Thiên Thần Chúa hiện ra cùng ông, đứng bên phải hương án.\rDa-ca-ri-a thấy vậy hoảng hốt, sự kinh hoàng đột nhập vào ông.\rNhưng Thiên Thần nói với ông rằng: “Da-ca-ri-a, đừng sợ, vì lời ngươi cầu nguyện đã được nhậm rồi.\rÊ-li-sa-bét vợ ngươi sẽ hạ sinh cho ngươi một con trai, và ngươi sẽ gọi tên trẻ là Gio-an.\rNgươi sẽ được vui mừng hân hoan, và nhiều người cũng sẽ vui mừng, vì việc trẻ sinh ra.\rVì trẻ nầy sẽ nên cao trọng trước mắt Chúa, sẽ không uống rượu và thức có men, sẽ được tràn đầy Thánh Thần ngay từ lòng mẹ, sẽ đem nhiều con cái Ít-ra-en trở về cùng Chúa là Thiên Chúa.\rTrẻ này sẽ đi trước Người, trong thần trí và quyền lực của Ê-li-a, để đổi lòng dạ cha ông về với con cháu, kẻ ngổ nghịch về lại với lương tri của những người công chính, dọn cho Chúa một đoàn dân chuẩn bị.\rDa-ca-ri-a thưa với Thiên Thần rằng: “Làm sao tôi biết được, vì tôi đây đã già, và vợ tôi cũng đã cao niên?”\rThiên Thần liền đáp: “Ta là Gáp-ri-en, ta đứng chầu trước mặt Thiên Chúa, ta được sai đến nói với ngươi, và báo cho ngươi tin lành nầy.\rThì đây, ngươi sẽ nín câm và không nói được, cho đến ngày các điều ấy xảy ra; bởi vì ngươi đã không tin lời ta, là những lời sẽ nên trọng khi đến thời của chúng”.\rDân chúng đang trông đợi Da-ca-ri-a, lấy làm lạ vì ông ở lâu trong cung thánh.\rNhưng lúc ra, ông không nói được, và họ biết ông đã thấy điềm lạ trong cung thánh.\rCòn ông thì chỉ làm hiệu cho họ, và vẫn bị câm.\rKhi những ngày thánh vụ của ông đã mãn, ông trở về nhà.\rSau những ngày ấy, Ê-li-sa-bét vợ ông thụ thai, và bà ẩn mình trong năm tháng, bà nói rằng: “Chúa đã làm cho tôi thế nầy, trong những ngày Người đoái thương, cất nổi khổ nhục tôi khỏi người đời.","end":"Ðó là lời Chúa"}},
+        "22012": {"firstReading":{"excerpt":"Is 7, 10-14","info":"“Này đây một trinh nữ sẽ thụ thai”.","title":"Bài trích sách Tiên tri I-sai-a.","content":"Ngày ấy, Chúa phán bảo cùng vua A-khát rằng: “Hãy xin Thiên Chúa, Chúa ngươi, một dấu ở dưới lòng đất hay ở trên trời cao”. Nhưng vua A-khát thưa: “Tôi sẽ không xin, vì tôi không dám thử Chúa”.\rVà I-sai-a nói: “Vậy nghe đây, hỡi nhà Ða-vít: Làm phiền lòng người ta chưa đủ ư, mà còn muốn làm phiền lòng Thiên Chúa nữa? Vì thế, chính Chúa sẽ cho các ngươi một dấu: này đây một trinh nữ sẽ thụ thai, hạ sinh một con trai, và tên con trẻ sẽ gọi là Em-ma-nu-en, nghĩa là Thiên Chúa ở cùng chúng ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Chúa ngự qua, chính Ngài là Hoàng Ðế hiển vinh","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Ngài xây dựng nó trên biển cả, và Ngài giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Ngài? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm kiếm long nhan Thiên Chúa nhà Gia-cóp."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chìa khoá Ða-vít, Ngài mở cửa thiên quốc, xin hãy đến cứu thoát người bị xiềng xích đang ngồi trong bóng tối tăm khỏi cảnh ngục tù! – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này trinh nữ sẽ thụ thai và sinh một con trai”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy Thiên thần Gáp-ri-en được Chúa sai đến một thành xứ Ga-li-lê-a, tên là Na-da-rét, đến với một trinh nữ đã đính hôn với một người tên là Giu-se, thuộc chi họ Ða-vít, trinh nữ ấy tên là Ma-ri-a. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào Bà đầy ơn phước, Thiên Chúa ở cùng Bà. Bà được chúc phúc giữa các người phụ nữ”. Nghe lời đó, Bà bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Ma-ri-a đừng sợ, vì đã được nghĩa với Chúa. Này Bà sẽ thụ thai, sinh một con trai và đặt tên là Giê-su. Người sẽ nên cao trọng và được gọi là con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ða-vít, tổ phụ Người. Người sẽ cai trị đời đời trong nhà Gia-cóp, và triều đại Người sẽ vô tận”.\rNhưng Ma-ri-a thưa với Thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?” Thiên thần thưa: “Chúa Thánh Thần sẽ đến với Bà, và uy quyền Ðấng Tối Cao sẽ bao trùm Bà. Vì thế Ðấng Bà sinh ra sẽ là Ðấng Thánh, và được gọi là Con Thiên Chúa. Và này, I-sa-ve chị họ Bà cũng đã thụ thai con trai trong lúc tuổi già, và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ, vì không có việc gì mà Chúa không làm được”.\rMa-ri-a liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và Thiên thần cáo biệt Bà.","end":"Ðó là lời Chúa"}},
+        "22112": {"firstReading":{"excerpt":"Dc 2, 8-14","info":"“Ðây người tôi yêu đến, nhảy qua núi”.","title":"Bài trích sách Diễm Ca.","content":"Tiếng người tôi yêu, đây người đến, nhảy qua núi, băng qua đồi. Người tôi yêu giống như nai rừng, ví tựa hươu con. Ðó, người đứng sau vách nhà chúng tôi, ngó qua cửa sổ, nhìn vào chấn song.\rNày người tôi yêu nói với tôi: “Hãy chỗi dậy, mau lên, bạn tình ta! Bồ câu ta, kiều nữ ta, hãy đến! Vì tiết đông đã qua, mưa phùn đã dứt. Trăm hoa đua nở trên đất chúng ta. Thời cắt tỉa đã đến, tiếng chim gáy véo von trên đất chúng ta. Cây vả sinh trái đầu mùa, vườn nho trổ hoa thơm ngát. Hãy chỗi dậy, bạn tình ta, người đẹp ta, hãy đến!\r“Bồ câu ta trong hốc đá, trong kẹt ghềnh, hãy cho ta thấy mặt mình, tiếng mình hãy thánh thót ở tai ta, vì tiếng mình êm ái, nét mặt mình xinh tươi”. \r Đó là Lời Chúa. \rHoặc đọc bài này: Xp 3, 14-18a\r“Chúa là Vua Israel ở giữa ngươi”.\rTrích sách Tiên tri Xôphônia.\rHỡi thiếu nữ Si-on, hãy ngợi khen! Ít-ra-en hỡi, hãy reo mừng! Hỡi thiếu nữ Giê-ru-sa-lem, hãy sung sướng và hết lòng hân hoan!\rChúa đã rút án phạt ngươi, đã xua đuổi quân thù. Chúa là Vua Ít-ra-en ở giữa ngươi, ngươi không còn lo sợ tai hoạ nào. Ngày ấy có tiếng bảo Giê-ru-sa-lem: đừng sợ! và Si-on, chớ buông thả đôi tay! Chúa là Thiên Chúa ngươi ở giữa ngươi, sẽ sung sướng vui mừng vì ngươi, sẽ thinh lặng trong niềm mến thương ngươi, sẽ hân hoan chúc mừng ngươi, như trong ngày đại lễ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 2-3. 11-12. 20-21","response":"Ðáp: Người hiền đức, hãy hân hoan trong Chúa, hãy ca mừng Người bài ca mới!","verses":["Xướng: Hãy ngợi khen Chúa với cây đàn cầm, và đàn mười dây, hãy xướng ca mừng Chúa. Hãy ca mừng Người bài ca mới, hát mừng Người với tiếng râm ran.","Xướng: Ý định của Chúa tồn tại muôn đời; tư tưởng lòng Người còn mãi đời nọ sang đời kia. Phúc thay quốc gia mà Chúa là Chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Xướng: Linh hồn chúng ta mong đợi Chúa, chính Người là Ðấng phù trợ và che chở chúng ta. Bởi vậy lòng chúng ta hân hoan trong Chúa, chúng ta tin cậy ở thánh danh Người.."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Vầng Ðông, là ánh sáng muôn dân và là mặt trời công chính, xin hãy đến chiếu soi những kẻ ngồi trong tối tăm và trong bóng sự chết! – Alleluia."},"gospel":{"excerpt":"Lc 1, 39-45","info":"“Bởi đâu mà tôi được ơn này, là Mẹ Thiên Chúa tôi đến viếng thăm tôi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Ngày ấy, Ma-ri-a chỗi dậy, vội vã ra đi tiến lên miền núi, đến một thành xứ Giu-đê-a. Bà vào nhà ông Da-ca-ri-a và chào bà I-sa-ve, và khi bà I-sa-ve nghe lời chào của Ma-ri-a, thì hài nhi nhảy mừng trong lòng bà; và bà I-sa-ve được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng: “Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm? Vì này, tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.","end":"Ðó là lời Chúa"}},
+        "22212": {"firstReading":{"excerpt":"1 Sm 1, 24-28","info":"“Bà An-na tạ ơn Chúa vì được sinh Sa-mu-en”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Ngày ấy, sau khi đã cho Sa-mu-en dứt sữa, bà An-na liền bắt một con bò ba tuổi, lấy ba cân bột, một vò rượu, và dẫn con đến nhà Chúa ở Si-lô. Con trẻ lúc đó còn nhỏ bé. Họ tế lễ con bò và dâng con trẻ cho ông Hêli. An-na thưa: “Kính lạy ngài, chúc ngài khang an! Tôi là người đàn bà nọ đã đứng cầu xin Chúa nơi đây trước mặt ngài. Tôi đã cầu xin vì trẻ này, và Chúa đã cho tôi được như tôi xin. Vậy tôi xin dâng lại cho Chúa, trót mọi ngày nó thuộc về Chúa”. Và họ thờ lạy Chúa ngay ở đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8abcd","response":"Ðáp: Lòng tôi nhảy mừng trong Chúa cứu độ tôi","verses":["Xướng: Lòng tôi nhảy mừng trong Chúa, khí phách tôi hướng lên Thiên Chúa của tôi, miệng tôi rộng mở chống quân thù, tôi vui mừng vì Chúa cứu độ tôi.","Xướng: Cung nỏ người hùng bị bẻ tan, người kiệt sức lại nai nịt dũng khí; kẻ no đầy nay làm thuê vì miếng bánh, người đói lả nay lại được no nê. Người son sẻ lại con đàn cháu đống, kẻ nhiều con lại trở nên héo tàn.","Xướng: Chúa cho chết và Chúa làm cho sống, cho đi xuống mồ rồi lại đem lên, làm cho nghèo rồi cho nên giàu có, hạ xuống thấp rồi lại nhắc lên cao.","Xướng: Cho kẻ bần cùng đứng dậy khỏi bụi tro, nâng cao kẻ nghèo khỏi phân nhơ rác rến, cho ngồi chung với vua quan tướng lãnh, đặt cho họ một ngai báu vinh quang."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Vua muôn dân và Ðá Góc toà nhà Hội thánh, xin hãy đến cứu độ con người mà Chúa đã tạo dựng bằng bùn đất! – Alleluia."},"gospel":{"excerpt":"Lc 1, 46-56","info":"“Ðấng Toàn Năng đã làm cho tôi những sự trọng đại”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Ma-ri-a nói rằng: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Chúa đã đoái nhìn đến phận hèn tớ nữ của Chúa. Từ nay muôn thế hệ sẽ khen tôi có phước, vì Ðấng toàn năng đã làm cho tôi những sự trọng đại, và danh Ngài là thánh. Lòng thương xót Chúa trải qua đời nọ đến đời kia dành cho những ai kính sợ Chúa. Chúa đã vung cánh tay ra oai thần lực, dẹp tan những ai lòng trí kiêu căng. Chúa lật đổ người quyền thế xuống khỏi ngai vàng, và nâng cao những người phận nhỏ. Chúa đã cho người đói khát no đầy ơn phước, và để người giàu có trở về tay không. Chúa săn sóc Ít-ra-en tôi tớ Chúa, bởi nhớ lại lòng thương xót của Ngài. Như Chúa đã phán cùng các tổ phụ chúng tôi, cho Áp-ra-ham và dòng dõi Người đến muôn đời!”\rMa-ri-a ở lại với bà I-sa-ve độ ba tháng, đoạn Người trở về nhà mình.","end":"Ðó là lời Chúa"}},
+        "22312": {"firstReading":{"excerpt":"Ml 3, 1-4; 4, 5-6 (Hr 3, 1-4, 23-24)","info":"“Ta sẽ sai tiên tri Ê-li-a đến cùng các ngươi trước ngày Chúa đến”.","title":"Trích sách Tiên tri Ma-la-khi.","content":"Ðây là những điều Thiên Chúa phán: Này đây, Ta sai sứ thần Ta đi dọn một con đường trước mặt Ta. Và bỗng chốc, Ðấng Chủ tể các ngươi tìm kiếm, Sứ Thần Giao Ước các ngươi mong ước, Người ngự đến trong thánh điện Người. Này đây, Người ngự đến, Chúa các cơ binh phán: Ai biết được ngày nào Người đến? Ai đứng vững mà trông xem Người? Vì Người như ngọn lửa hoả lò, như lá thuốc của phường thợ giặt. Người sẽ ngồi nung nấu luyện bạc, sẽ tẩy luyện con cái Lêvi, lọc chúng nó như vàng như bạc, để chúng trở thành cho Chúa những người dâng lễ tế trong công chính. Lễ tế của Giu-đa và Giê-ru-sa-lem sẽ đẹp lòng Chúa, như ngày xưa, như những năm đầu.\rNày đây, Ta sai Tiên tri Ê-li-a đến cùng các ngươi, trước ngày trọng đại và kinh khủng của Ta. Người sẽ hoán cải lòng cha ông về lại với con cháu, và lòng con cháu trở về cùng cha ông, kẻo Ta ngự đến tiêu diệt địa cầu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 8-9. 10 và 14","response":"Ðáp: Hãy nhìn xem và hãy ngẩng đầu lên, vì ơn cứu chuộc các ngươi đã gần đến","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa, xin dạy bảo con về lối bước của Ngài. Xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài.","Xướng: Tất cả đường nẻo Chúa là ân sủng và trung thành, dành cho những ai giữ minh ước và điều răn Chúa. Chúa thân mật với những ai tôn sợ Chúa, và tỏ cho họ biết lời minh ước của Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Ðức Em-ma-nu-en, là Vua và là Ðấng ban lề luật, lạy Chúa là Thiên Chúa chúng con, xin hãy đến cứu độ chúng con. – Alleluia."},"gospel":{"excerpt":"Lc 1, 57-66","info":"“Sinh nhật của Gio-an Tẩy Giả”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi đến ngày sinh, bà I-sa-ve hạ sinh một con trai. Láng giềng bà con nghe biết Chúa đã tỏ lòng nhân hậu lớn lao đối với bà liền đến chúc mừng bà. Ngày thứ tám, người ta đến làm phép cắt bì cho con trẻ, và họ lấy tên Da-ca-ri-a của cha nó mà đặt cho nó. Nhưng bà mẹ đáp lại rằng: “Không được, nó sẽ gọi tên là Gio-an”.\rHọ bảo bà rằng: “Không ai trong họ hàng bà có tên đó”. Và họ làm hiệu hỏi cha con trẻ muốn gọi tên gì. Ông xin một tấm bảng và viết: “Tên nó là Gio-an”. Và mọi người đều bỡ ngỡ. Bỗng chốc lưỡi ông mở ra, và ông liền chúc tụng Chúa.\rMọi người lân cận đều kinh hãi. Và trên khắp miền núi xứ Giu-đê-a, người ta loan truyền mọi việc đó. Hết thảy những ai nghe biết, đều để bụng nghĩ rằng: “Con trẻ này rồi sẽ nên thế nào? Vì quả thực, bàn tay Chúa đã ở với nó”.","end":"Ðó là lời Chúa"}},
+        "22412": {"firstReading":{"excerpt":"2 Sm 7, 1-5. 8b-12. 16","info":"“Vương quốc Ðavít sẽ tồn tại trước mặt Chúa đến muôn đời”.","title":"Bài trích sách Samuel quyển thứ hai.","content":"Khi ấy vua Ðavít ngự trong đền và khi Chúa cho ông được bằng yên tư bề, khỏi mọi quân thù chung quanh, thì vua nói với tiên tri Nathan rằng: “Ông thấy không? Ta ở trong nhà làm bằng gỗ bá hương, còn hòm bia Chúa thì để ở trong lều bằng da ư?” Nathan trả lời với vua rằng: “Ðiều gì vua nghĩ trong lòng, vua hãy đi thực hiện, vì Chúa ở với vua”. Nhưng xảy ra (là) đêm ấy có lời Chúa phán cùng Nathan rằng: “Hãy đi nói với Ðavít tôi tớ Ta rằng: “Chúa phán thế này: Có phải ngươi sẽ xây cất cho Ta một ngôi nhà để ở chăng?” Ta đã đem ngươi ra khỏi đồi cỏ lúc ngươi còn theo sau đoàn chiên, để ngươi trở nên thủ lãnh Israel dân Ta, và Ta đã ở cùng ngươi trong mọi nơi ngươi đi; Ta đã tiêu diệt mọi quân thù trước mặt ngươi. Và Ta sẽ làm cho danh ngươi nên cao trọng, như danh các bậc vĩ nhân trên mặt đất. Ta sẽ đặt chỉ một nơi cho Israel dân ta, và Ta sẽ vun trồng nó tại đó. Nó sẽ ở đó và sẽ không còn bị quấy rối nữa. Con cái sự dữ sẽ không còn đến đàn áp nó như xưa nữa, như ngày Ta thiết lập các vị Thẩm phán trên Israel dân Ta. Ta sẽ cho ngươi được bằng yên khỏi mọi quân thù. Và Chúa phán trước cho ngươi biết là Chúa sẽ tạo lập cho ngươi một nhà. Nhà của ngươi và triều đại ngươi sẽ vững chắc đến muôn đời trước mặt Ta; ngôi báu ngươi sẽ vững bền mãi mãi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 2-3. 4-5. 27 và 29","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời (x. c. 2a).","verses":["1) Tôi sẽ ca ngợi tình thương của Chúa tới muôn đời, qua mọi thế hệ miệng tôi loan truyền lòng trung thành Chúa, vì Ngài đã phán: “Tình thương của Ta đứng vững muôn đời”; trên cõi trời cao, Ngài thiết lập lòng trung tín.","2) Ta đã ký minh ước cùng người Ta tuyển lựa, Ta đã thề cùng Ðavít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","3) Chính người sẽ thưa cùng Ta: “Chúa là Cha con, là Thiên Chúa và Ðá Tảng cứu độ của con”. Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Ðức Thượng Trí của Ðấng Tối Cao, Ngài an bài mọi sự cách mạnh mẽ và dịu dàng, xin hãy đến dạy dỗ chúng con con đường khôn ngoan. – Alleluia."},"gospel":{"excerpt":"Lc 1, 67-79","info":"“Vầng đông từ cao thẳm tới viếng thăm chúng ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Giacaria, cha của Gioan, được đầy Thánh Thần, liền nói tiên tri rằng: “Chúc tụng Ðức Chúa là Thiên Chúa Israel, Người đã viếng thăm và cứu chuộc dân Người. Từ dòng dõi trung thần Ðavít, Người đã cho xuất hiện Vị Cứu Tinh quyền thế? để giúp ta, như Người đã dùng miệng các vị thánh ngôn sứ mà phán hứa tự ngàn xưa: Sẽ cứu ta thoát khỏi địch thù, thoát tay mọi kẻ hằng ghen ghét; sẽ trọn bề nhân nghĩa với tổ tiên, và nhớ lại lời xưa giao ước Chúa đã thề với tổ phụ Abraham: rằng sẽ giải phóng ta khỏi tay địch thù, và cho ta chẳng còn sợ hãi, để ta sống thánh thiện công chính trước nhan Người mà phụng thờ Người suốt cả đời ta. “Hài nhi hỡi, con sẽ mang tước hiệu là ngôn sứ của Ðấng Tối Cao: Con sẽ đi trước Chúa, mở lối cho Người, bảo cho dân Chúa biết: Người sẽ cứu độ, là tha cho họ hết mọi tội khiên. Thiên Chúa ta đầy lòng trắc ẩn, cho Vầng Ðông tự chốn cao vời viếng thăm ta, soi sáng những ai ngồi nơi tăm tối, và trong bóng tử thần, dẫn ta bước vào đường nẻo bình an”.","end":"Ðó là lời Chúa"}},
+        "22612": {"firstReading":{"excerpt":"Cv 6, 8-10; 7,54-59","info":"“Kìa tôi xem thấy trời mở ra”","title":"Bài trích sách Tông Ðồ Công Vụ.","content":"Trong những ngày đó, Tê-pha-nô đầy ân sủng và sức mạnh, làm nên những điều kỳ diệu và những phép lạ cả thể trong dân.\rBấy giờ, có nhóm người kia, thuộc Hội đường, mệnh danh là “của những người Tự Do, người Xirênê và Alexandria”, và những người khác từ xứ Cilicia và Á đông, đã nổi dậy.\rHọ tranh luận với Tê-pha-nô, nhưng họ không thể đương đầu với sự khôn ngoan và Thánh Thần vẫn giúp cho ông nói.\rNghe ông nói, họ phát điên lên trong lòng, và họ nghiền răng phản đối ông.\rNhưng Tê-pha-nô, đầy Thánh Thần, nhìn lên trời, đã xem thấy vinh quang của Thiên Chúa, và Ðức Giê-su đứng bên hữu Thiên Chúa.\rÔng đã nói rằng:\r“Kìa, tôi xem thấy trời mở ra, và Con Người đứng bên hữu Thiên Chúa”.\rBấy giờ họ lớn tiếng kêu la và bịt tai lại, và họ nhất tề xông vào ông.\rKhi lôi ông ra ngoài thành, họ ném đá ông.\rVà các nhân chứng để áo của họ dưới chân một người thanh niên tên là Saolê.\rRồi họ ném đá Tê-pha-nô, đang lúc ông cầu nguyện rằng:\r“Lạy Chúa Giêsu, xin đón nhận tâm hồn tôi”.\rThế rồi ông quì gối xuống, lớn tiếng kêu lên rằng:\r“Lạy Chúa, xin đừng trách cứ họ về tội lỗi nầy”.\rNói xong câu đó, ông đã an giấc trong Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 30,3cd 4, 6ab và 8a, 17 và 21ab","response":"Ðáp: Lạy Chúa, tôi xin phó mạng sống tôi trong tay Chúa.","verses":["Xướng: Xin Chúa nên núi đá tôi nương náu, và nên thành trì cứu thoát tôi, bởi Chúa là núi đá và là thành trì của tôi, vì danh Chúa, xin dẫn đàng chỉ lối cho tôi.","Xướng: Tôi phó mạng sống tôi trong tay Chúa, Lạy Chúa là Thiên Chúa trung tín, xin cứu thoát tôi.","Xướng: Còn tôi, tôi trông cậy nơi Chúa, tôi hân hoan vui mừng vì lòng từ bi Chúa.","Xướng: Xin Chúa tỏ mặt nhân lành với tôi tớ Chúa, và lấy lòng thương xót Chúa cứu thoát tôi.  Chúa che chở những ai nấp dưới nhan thánh Chúa khỏi mưu chước của loài người. Chúa giấu họ trong nhà Chúa khỏi miệng lưỡi gian ngoa."]},"alleluia":{"verse":"Tv. 117, 26a và 27a","content":"alleluia – Chúc tụng Ðấng nhân danh Chúa mà đến; Chúa là Thiên Chúa đã soi sáng chúng ta. Alleluia."},"gospel":{"excerpt":"Mt 10,17-22","info":"“Không phải chúng con nói, nhưng là Thánh Thần của Chúa Cha”","title":"Bài trích Phúc âm theo Thánh Mát-thêu.","content":"Ngày ấy, Chúa Giê-su phán cùng các Tông đồ rằng:\r“Chúng con hãy coi chừng người đời.\rHọ sẽ nộp chúng con cho công nghị, họ sẽ đánh đòn chúng con nơi hội đường.\rVì Ta, chúng con sẽ bị điệu đến trước vua quan, để làm chứng trước mặt họ và các dân.\rNhưng khi người ta nộp chúng con, chúng con chớ lo lắng phải nói sao và nói gì, vì không phải chúng con nói, nhưng là Thánh Thần của Chúa Cha chúng con sẽ nói thay cho.\rAnh sẽ nộp em cho người ta giết, cha sẽ nộp con, con cái chống đối cha mẹ và làm cha mẹ phải chết.\rVì Ta, chúng con sẽ bị mọi người ghét bỏ, nhưng kẻ nào bền chí đến cùng, sẽ được cứu rỗi.","end":"Ðó là lời Chúa"}},
+        "22712": {"firstReading":{"excerpt":"1 Ga 1, 1-4","info":"“Chúng tôi loan truyền cho anh em điều chúng tôi đã nghe và đã thấy”.","title":"Bắt đầu thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, điều đã có từ thuở ban sơ, điều chúng tôi đã nghe, điều chúng tôi đã thấy tận mắt, điều chúng tôi đã ngắm nhìn và tay chúng tôi đã sờ đến về Ngôi Lời hằng sống: là sự sống đã tỏ hiện, và chúng tôi đã từng thấy, chúng tôi làm chứng và chúng tôi loan truyền cho các con sự sống đời đời đã có nơi Chúa Cha và đã tỏ hiện cho chúng ta. Ðiều chúng tôi đã thấy và đã nghe, thì chúng tôi loan truyền cho các con, để các con hiệp nhất với chúng tôi, và chúng ta hiệp nhất với Chúa Cha và với Chúa Giê-su Ki-tô, Con của Người. Chúng tôi viết các điều này để các con vui mừng và niềm vui của các con được trọn vẹn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 11-12","response":"Ðáp: Người hiền đức, hãy vui mừng trong Chúa","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan, hải đảo muôn ngàn, hãy mừng vui. Mây khói và sương mù bao toả chung quanh, công minh chính trực là nền kê ngai báu.","Xướng: Núi non vỡ lở như mẩu sáp trước thiên nhan, trước thiên nhan Chúa tể toàn cõi đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người.","Xướng: Sáng sủa bừng lên cho người hiền đức, và niềm hoan hỉ cho kẻ lòng ngay. Người hiền đức, hãy vui mừng trong Chúa và hãy ca tụng thánh danh Người."]},"alleluia":{"verse":" ","content":"alleluia! – Chúng con ca ngợi Chúa là Thiên Chúa; lạy Chúa, ca đoàn vinh quang của các tông đồ ca ngợi Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 20, 2-8","info":"“Môn đệ kia chạy nhanh hơn Phêrô và đến mộ trước ông”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Ngày thứ nhất trong tuần, Ma-ri-a Ma-đa-lê-na chạy đến gặp Si-mon Phê-rô và môn đệ kia mà Chúa Giê-su yêu, bà nói: “Người ta đã lấy xác Chúa khỏi mộ rồi, chúng tôi không biết họ để đâu”.\rBấy giờ Phê-rô ra đi với môn đệ kia đến mộ. Cả hai cùng chạy, nhưng môn đệ kia chạy nhanh hơn Phê-rô và đến mộ trước ông. Cúi nhìn vào, người môn đệ đó thấy tấm khăn liệm xác hãy còn, nhưng không vào. Bấy giờ Si-mon Phê-rô theo sau cũng đến, và đi vào trong mộ, thấy khăn liệm xác còn đó, và khăn che mặt để trên phía đầu Người, không để chung với khăn liệm xác, nhưng đã cuốn riêng để vào một chỗ.\rBấy giờ môn đệ đã đến trước cũng vào; ông đã thấy và đã tin.","end":"Ðó là lời Chúa"}},
+        "22812": {"firstReading":{"excerpt":"1 Ga 1, 5 – 2,2","info":"“Máu Chúa Giê-su Ki-tô rửa chúng tôi sạch mọi tội lỗi”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, đây là sứ điệp chúng tôi nhận được bởi Chúa, và chúng tôi loan truyền cho các con: Thiên Chúa là sự sáng và nơi Người không có sự tối tăm nào. Nếu chúng tôi nói rằng chúng tôi thông hảo với Người, mà chúng tôi đi trong đường tối tăm, thì chúng tôi nói dối, và chúng tôi không thực thi chân lý. Nếu chúng tôi đi trong ánh sáng, cũng như chính Người ở trong ánh sáng, thì chúng tôi có sự thông hảo với nhau; và máu Chúa Giê-su Ki-tô Con Người rửa chúng tôi sạch mọi tội lỗi.\rNếu chúng tôi nói rằng mình không có tội, thì chúng tôi lừa dối mình, và trong người chúng tôi không có chân lý. Nếu chúng tôi xưng tội mình ra, thì Người là Ðấng trung thành và công chính, sẽ tha tội cho chúng tôi, và rửa sạch chúng tôi khỏi điều gian ác. Nếu chúng tôi nói rằng chúng tôi không phạm tội, thì chúng tôi coi Người là kẻ nói dối, và lời của Người không ở trong chúng tôi.\rCác con thân mến, cha viết những điều này cho các con, để các con đừng phạm tội, nhưng nếu có ai phạm tội, thì chúng ta có Ðức Giê-su Ki-tô, Ðấng công chính làm trạng sư nơi Ðức Chúa Cha. Chính Người là của lễ đền tội chúng ta, không nguyên đền tội chúng ta mà thôi, nhưng còn đền tội cho cả thế gian.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 123, 2-3. 4-5. 7b-8","response":"Ðáp: Hồn chúng tôi như chim non, thoát khỏi lưới dò của người gài bẫy bắt chim.","verses":["Xướng: Nếu như Chúa không che chở chúng tôi, khi thiên hạ cùng chúng tôi gây hấn, bấy giờ người ta đã nuốt sống chúng tôi rồi, khi họ bừng bừng giận dữ chúng tôi.","Xướng: Bấy giờ nước cả đã lôi cuốn mất, trào lưu đã ngập lút con người chúng tôi, bấy giờ sóng cả kiêu hùng đã ngập lút chúng tôi.","Xướng: Lưới dò đã đứt gãy, và chúng tôi đã thoát thân. Ơn phù trợ chúng tôi ở nơi danh Chúa, là Ðấng tạo thành trời đất."]},"alleluia":{"verse":" ","content":"alleluia! – Chúng con ca ngợi Chúa là Thiên Chúa; tinh binh các Ðấng Tử Ðạo ca ngợi Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 2, 13-18","info":"“Hê-rô-đê giết hết các con trẻ ở Bê-lem”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi các đạo sĩ ra đi, thiên thần Chúa hiện ra với ông Giu-se trong lúc ngủ và bảo ông: “Hãy thức dậy, đem Hài Nhi và mẹ Người trốn sang Ai-cập, và ở đó cho tới khi tôi báo lại ông, vì Hê-rô-đê sắp sửa tìm kiếm Hài Nhi để sát hại Người”. Ông thức dậy, đem Hài Nhi và mẹ Người lên đường trốn sang Ai-cập đang lúc ban đêm. Ông ở lại đó cho tới khi Hê-rô-đê băng hà, hầu làm trọn điều Chúa dùng miệng tiên tri mà phán rằng: “Ta gọi con Ta ra khỏi Ai-cập”.\rBấy giờ Hê-rô-đê thấy mình bị các đạo sĩ đánh lừa, nên nổi cơn thịnh nộ và sai quân đi giết tất cả con trẻ ở Bê-lem và vùng phụ cận, từ hai tuổi trở xuống, tính theo thời gian vua đã cặn kẽ hỏi các đạo sĩ. Thế là ứng nghiệm lời tiên tri Giê-rê-mi-a đã nói: Tại Ra-ma, người ta nghe tiếng khóc than nức nở, đó là tiếng bà Ra-khen than khóc con mình, bà không chịu cho người ta an ủi bà, vì các con bà không còn nữa.","end":"Ðó là lời Chúa"}},
+        "22912": {"firstReading":{"excerpt":"1 Ga 2, 3-11","info":"“Ai thương yêu anh em mình thì ở trong sự sáng”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, chính nơi điều này mà chúng ta biết rõ được là chúng ta biết Chúa Giê-su, nếu chúng ta giữ các giới răn Người. Ai nói mình biết Người, mà không giữ giới răn Người, là kẻ nói dối, và nơi người ấy không có chân lý. Còn ai giữ lời Người, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy, và nhờ điều đó mà chúng ta biết được chúng ta ở trong Người. Ai nói mình ở trong Người, thì phải sống như Người đã sống.\rCác con thân mến, đây không phải là một giới răn mới mà cha viết cho các con, nhưng là giới răn cũ các con đã có từ ban đầu. Giới răn cũ đó, là lời các con đã nghe rồi. Nhưng đây cha lại viết cho các con một điều răn mới, là điều chân thật nơi Người và nơi các con, vì tối tăm đang qua đi, và sự sáng đã soi đến rồi.\rAi nói mình ở trong sự sáng, mà lại ghét anh em mình, thì vẫn còn ở trong tối tăm. Ai thương yêu anh em mình, thì ở trong sự sáng, và nơi người ấy không có cớ vấp phạm. Còn ai ghét anh em mình, thì ở trong tối tăm, đi trong tối tăm và không biết mình đi đâu, vì tối tăm đã làm mù mắt họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 5-6","response":"Ðáp: Trời xanh hãy vui mừng và địa cầu hãy hân hoan.","verses":["Xướng: Hãy ca mừng Thiên Chúa bài ca mới. Hãy ca mừng Thiên Chúa, hỡi toàn thể địa cầu. Hãy ca mừng Thiên Chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa chư dân, và phép lạ Người ở nơi vạn quốc.","Xướng: Vì mọi chúa tể của chư dân là hư ảo, nhưng Thiên Chúa đã tác tạo trời xanh. Sáng láng và oai nghiêm toả trước thiên nhan, uy hùng và tráng lệ phủ trên ngai báu."]},"alleluia":{"verse":" ","content":"alleluia! – Ngôi Lời đã hoá thành nhục thể và đã cư ngụ giữa chúng ta. Những ai tiếp nhận Người, thì Người ban cho họ được quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 2, 22-35","info":"“Ánh sáng đã chiếu soi các lương dân”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Lu-ca.","content":"Khi mãn thời hạn thanh tẩy theo Luật Mô-sê, ông bà đem Chúa Giê-su lên thành Giê-ru-sa-lem, để dâng cho Chúa, như đã viết trong lề luật Chúa rằng: “Mọi con trai đầu lòng sẽ được gọi là của thánh, dâng cho Thiên Chúa”, và việc dâng lễ vật như đã nói trong lề luật Chúa là “một cặp chim gáy, hoặc hai bồ câu con”.\rVà lúc đó tại Giê-ru-sa-lem có một người tên là Si-mê-on, là người công chính và có lòng kính sợ, đang mong đợi niềm an ủi Israel, có Thánh Thần ở trong ông. Ông được Thánh Thần mách bảo là sẽ không thấy giờ chết đến, trước khi thấy Ðấng Ki-tô của Chúa. Ðược Thánh Thần thúc giục, ông vào đền thờ. Khi cha mẹ bồng trẻ Giê-su đến để thi hành cho Người các nghi thức theo luật dạy, thì ông ẵm lấy Người trên cánh tay mình, và chúc tụng Thiên Chúa rằng:\r“Lạy Chúa, bây giờ Chúa để cho tôi tớ Chúa đi bình an, theo như lời Chúa. Vì chính mắt con đã thấy ơn cứu độ mà Chúa đã sắm sẵn trước mặt muôn dân, là ánh sáng đã chiếu soi các lương dân, và vinh quang của Ít-ra-en dân Chúa”.\rCha mẹ Người đều kinh ngạc về những điều đã nói về Người. Si-mê-on chúc lành cho hai ông bà, và nói với Ma-ri-a mẹ Người rằng: “Ðây trẻ này được đặt lên, khiến cho nhiều người trong Ít-ra-en phải sụp đổ hay được đứng dậy, và cũng để làm mục tiêu cho người ta chống đối. Về phần bà, một lưỡi gươm sẽ đâm thấu tâm hồn bà, để tâm tư nhiều tâm hồn được biểu lộ”.","end":"Ðó là lời Chúa"}},
+        "23012": {"firstReading":{"excerpt":"1 Ga 2, 12-17","info":"“Ai làm theo ý Thiên Chúa, thì tồn tại muôn đời”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Hỡi các con, ta viết cho các con, vì tội lỗi các con được tha vì danh Người.\rHỡi các phụ huynh, ta viết cho các con, vì các con đã nhận biết Ðấng vẫn có từ ban đầu.\rHỡi các thiếu niên, ta viết cho các con, vì các con đã chiến thắng quỷ dữ.\rHỡi các trẻ nhỏ, ta viết cho các con, vì các con đã nhận biết Chúa Cha.\rHỡi các thanh niên, ta viết cho các con, vì các con dũng cảm, và lời Thiên Chúa vẫn ở trong các con, và các con đã chiến thắng quỷ dữ.\rCác con đừng yêu mến thế gian và những điều thuộc về thế gian. Nếu ai yêu mến thế gian thì lòng mến của Chúa Cha không có trong kẻ ấy. Vì mọi sự ở trong thế gian là đam mê của xác thịt, đam mê của con mắt, và kiêu căng vì của cải, những điều đó không phải bởi Chúa Cha, nhưng bởi thế gian mà ra. Và thế gian qua đi với đam mê của nó. Còn ai thực hiện thánh ý Thiên Chúa, thì tồn tại muôn đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 7-8a. 8b-9. 10","response":"Ðáp: Trời xanh hãy vui mừng và địa cầu hãy hân hoan!","verses":["Xướng: Hãy kính tặng Thiên Chúa, hỡi người chư dân bá tánh, hãy kính tặng Thiên Chúa quyền thế với vinh quang; hãy kính tặng Thiên Chúa vinh quang xứng với danh Người.","Xướng: Hãy mang lễ vật, tiến vào hành lang nhà Chúa, mặc lễ phục, thờ lạy Thiên Chúa. Toàn thể địa cầu, hãy run sợ trước thiên nhan.","Xướng: Hãy công bố giữa chư dân rằng: Thiên Chúa ngự trị. Người dựng vững địa cầu cho nó khỏi lung lay, Người cai quản chư dân theo đường đoan chính."]},"alleluia":{"verse":" ","content":"alleluia! – Thuở xưa, nhiều lần nhiều cách, Thiên Chúa đã dùng các tiên tri mà phán dạy cha ông, nhưng đến thời sau hết, tức là trong những ngày này, Người đã phán dạy chúng ta nơi người Con. – Alleluia."},"gospel":{"excerpt":"Lc 2, 36-40","info":"“Bà đã nói về Người với tất cả những người đang trông chờ ơn cứu chuộc Israel”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, có bà tiên tri An-na, con ông Phanuel, thuộc chi họ Asê, đã cao niên. Mãn thời trinh nữ, bà đã sống với chồng được bảy năm. Rồi thủ tiết cho đến nay đã tám mươi tư tuổi. Bà không rời khỏi đền thờ, đêm ngày ăn chay cầu nguyện phụng sự Chúa. Chính giờ ấy, bà cũng đến, bà liền chúc tụng Chúa, và nói về trẻ Giê-su cho tất cả những người đang trông chờ ơn cứu chuộc Ít-ra-en.\rKhi hai ông bà hoàn tất mọi điều theo luật Chúa, thì trở lại xứ Ga-li-lê-a, về thành mình là Na-da-rét. Và con trẻ lớn lên, thêm mạnh mẽ, đầy khôn ngoan, và ơn nghĩa Thiên Chúa ở cùng Người.","end":"Ðó là lời Chúa"}},
+        "23112": {"firstReading":{"excerpt":"1 Ga 2, 18-21","info":"“Các con được Ðấng Thánh xức dầu, và các con biết mọi sự”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Hỡi các con, đây là giờ sau hết. Các con đã nghe biết là sẽ có Phản Ki-tô đến, thì nay đã có nhiều Phản Ki-tô xuất hiện, do đó chúng ta biết rằng đây là giờ sau hết. Họ ở giữa chúng ta mà ra, nhưng không thuộc về chúng ta, vì nếu họ thuộc về chúng ta, thì họ vẫn còn ở với chúng ta. Như vậy để chứng tỏ rằng không phải tất cả mọi người đều thuộc về chúng ta.\rCòn các con, các con được Ðấng Thánh xức dầu, và các con biết mọi sự. Ta viết cho các con, không phải vì các con không biết sự thật, nhưng vì các con biết sự thật, và phàm là dối trá thì không (thể) do sự thật mà có.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2. 11-12. 13","response":"Ðáp: Trời xanh hãy vui mừng và địa cầu hãy hân hoan (c. 11a).","verses":["Xướng: Hãy ca mừng Thiên Chúa bài ca mới. Hãy ca mừng Thiên Chúa, hỡi toàn thể địa cầu. Hãy ca mừng Thiên Chúa, hãy chúc tụng danh Người, ngày ngày hãy loan truyền ơn Người cứu độ.","Xướng: Trời xanh hãy vui mừng và địa cầu hãy hân hoan. Biển khơi và muôn vật trong đó hãy reo lên. Ðồng nội và muôn loài trong đó hãy mừng vui, các rừng cây hãy vui tươi hớn hở.","Xướng: Trước nhan Thiên Chúa, vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người sẽ cai quản địa cầu cách công minh, và chư dân cách chân thành."]},"alleluia":{"verse":"Dt 1, 2","content":"alleluia! – Ngày thánh đã dọi ánh sáng trên chúng ta. Hỡi các dân, hãy tới thờ lạy Chúa, vì hôm nay ánh sáng chan hoà đã toả xuống trên địa cầu. – Alleluia."},"gospel":{"excerpt":"Ga 1, 1-18","info":"“Ngôi Lời đã làm người”.","title":"Bắt đầu Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Từ nguyên thủy đã có Ngôi Lời, và Ngôi Lời vẫn ở với Thiên Chúa, và Ngôi Lời vẫn là Thiên Chúa. Người vẫn ở với Thiên Chúa ngay từ nguyên thuỷ. Mọi vật đều do Người làm nên, và không có Người, thì chẳng vật chi đã được tác thành trong mọi cái đã được tác thành. Ở nơi Người vẫn có sự sống, và sự sống là sự sáng của nhân loại; sự sáng chiếu soi trong u tối, và u tối đã không tiếp nhận sự sáng.\rCó một người được Thiên Chúa sai đến tên là Gio-an. Ông đã đến nhằm việc chứng minh, để ông chứng minh về sự sáng, hầu cho mọi người nhờ ông mà tin. Chính ông không phải là sự sáng, nhưng đến để chứng minh về sự sáng. Vẫn có sự sáng thực, sự sáng soi tỏ cho hết mọi người sinh vào thế gian này. Người vẫn ở trong thế gian, và thế gian đã do Người tác tạo và thế gian đã không nhận biết Người. Người đã đến nhà các gia nhân Người, và các gia nhân Người đã không tiếp nhận Người. Nhưng phàm bao nhiêu kẻ đã tiếp nhận Người, thì Người cho họ được quyền trở nên con Thiên Chúa, tức là cho những ai tin vào danh Người. Những người này không do khí huyết, không do ý muốn xác thịt, cũng không do ý muốn của đàn ông, nhưng do Thiên Chúa mà sinh ra.\rVà Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng tôi, và chúng tôi đã nhìn thấy vinh quang của Người, vinh quang Người nhận được bởi Chúa Cha, như của người Con Một đầy ân sủng và chân lý.\rGio-an làm chứng về Người khi tuyên xưng rằng: “Ðây là Ðấng tôi tiên báo. Người đến sau tôi, nhưng xuất hiện trước tôi, vì Người có trước tôi”. Chính do sự sung mãn Người mà chúng ta hết thảy tiếp nhận ơn này tới ơn khác.\rBởi vì Chúa ban Lề luật qua Mô-sê, nhưng ơn thánh và chân lý thì ban qua Ðức Giê-su Ki-tô. Không ai nhìn thấy Thiên Chúa, nhưng chính Con Một Chúa, Ðấng ngự trong Chúa Cha, sẽ mạc khải cho chúng ta.","end":"Ðó là lời Chúa"}}
+    }
+});
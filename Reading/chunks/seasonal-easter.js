@@ -0,0 +1,48 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("seasonal-easter", {
+    "SEASONAL": {
+        "4011": {"firstReading":{"excerpt":"Cv 2, 14. 22-32","info":"“Thiên Chúa đã cho Ðức Kitô phục sinh, và tất cả chúng tôi làm chứng về Người”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong ngày lễ Ngũ Tuần, Phê-rô cùng với mười một Tông đồ đứng ra, lên tiếng nói rằng: “Hỡi các người Do-thái và tất cả những ai ở Giê-ru-sa-lem, xin hãy biết điều này và lắng nghe lời tôi! Hỡi những người Ít-ra-en, xin hãy nghe những lời này:\r“Ðức Giê-su Na-da-rét là người đã được Thiên Chúa chứng nhận giữa anh em bằng những việc vĩ đại, những điều kỳ diệu và những phép lạ, mà Thiên Chúa đã dùng Người để thực hiện giữa anh em, như chính anh em đã biết. Theo như Thiên Chúa đã định và biết trước, Người đã bị nộp, và anh em đã dùng tay kẻ độc ác mà hành hạ rồi giết đi. Nhưng Thiên Chúa đã giải thoát Người khỏi những đau khổ của cõi chết mà cho Người phục sinh, vì không thể nào để cho Người bị cầm giữ trong đó. Vì chưng, Ða-vít đã nói về Người rằng:\r‘Tôi hằng chiêm ngưỡng Chúa trước mặt tôi, vì Người ở bên hữu tôi, để tôi không nao núng. Vì thế, lòng tôi hân hoan, miệng lưỡi tôi hát mừng, và xác tôi yên nghỉ trong niềm cậy trông; vì Chúa không để linh hồn tôi trong cõi chết, và không để Ðấng Thánh của Chúa thấy sự hư nát. Chúa đã cho tôi biết con đường sự sống và cho tôi tràn đầy hân hoan tận hưởng nhan thánh Chúa’.\r“Hỡi anh em, xin cho phép tôi được bạo dạn nói với anh em về tổ phụ Ða-vít rằng: ngài đã băng hà, đã được an táng và lăng tẩm của ngài còn nằm giữa chúng ta cho đến ngày nay. Nhưng vì ngài là tiên tri, và biết Thiên Chúa đã thề hứa với ngài sẽ cho một người trong dòng dõi ngài ngồi trên ngai vàng của ngài, nên thấy trước, ngài đã nói về việc Chúa Kitô phục sinh, vì Người không phải bị bỏ rơi trong cõi chết, và xác Người không bị huỷ diệt. Ðức Giê-su đó, Thiên Chúa đã cho sống lại; chúng tôi hết thảy xin làm chứng về điều ấy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","response":"Ðáp: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa. Hoặc đọc: Alleluia.","verses":["Xướng: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa; con thưa cùng Chúa: “Ngài là chúa tể con. Chúa là phần gia nghiệp và phần chén của con, chính Ngài nắm giữ vận mạng của con”.","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo, đó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Bởi thế lòng con vui mừng và linh hồn con hoan hỉ: ngay cả đến xác thịt của con cũng nằm nghỉ an toàn, vì Chúa chẳng bỏ rơi linh hồn con trong Âm phủ, cũng không để thánh nhân của Ngài thấy sự hư nát.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn muôn đời!"]},"alleluia":{"verse":" ","content":"alleluia! – Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó. – Alleluia."},"gospel":{"excerpt":"Mt 28, 8-15","info":"“Hãy đi nói với anh em đến Galilêa mà gặp Ta ở đó”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, các bà vội ra khỏi mồ vừa sợ lại vừa hớn hở vui mừng, chạy báo tin cho các môn đệ Chúa. Và này Chúa Giê-su đón gặp các bà, Người nói: “Chào các bà”. Các bà liền lại gần ôm chân Người và phục lạy. Bấy giờ Chúa Giê-su bảo: “Các bà đừng sợ. Hãy đi báo tin cho các anh em Ta phải trở về Ga-li-lê-a, rồi ở đó họ sẽ gặp Ta”.\rÐang khi các bà lên đường, thì mấy người lính canh vào thành báo tin cho các thượng tế biết tất cả những gì đã xảy ra. Các thượng tế liền họp với các kỳ lão, và sau khi đã bàn định, họ cho lính một số tiền lớn và bảo rằng: “Các anh hãy nói rằng: Ban đêm khi chúng tôi đang ngủ, thì môn đệ ông đến lấy trộm xác ông. Nếu việc này đến tai tổng trấn, chúng tôi sẽ thương lượng với ông, không để các anh phải phiền hà đâu”. Bọn lính canh nhận tiền và đã làm y như họ căn dặn chúng. Bởi thế, lời đó được phao truyền nơi người Do-thái cho đến ngày nay.","end":"Ðó là lời Chúa"}},
+        "4012": {"firstReading":{"excerpt":"Cv 2, 36-41","info":"“Anh em hãy ăn năn sám hối và mỗi người trong anh em hãy chịu phép rửa nhân danh Ðức Kitô”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong ngày lễ Ngũ Tuần, Phê-rô nói với những người Do-thái rằng: “Xin toàn thể nhà Ít-ra-en hãy nhận biết rằng: Thiên Chúa đã tôn Ðức Giê-su mà anh em đã đóng đinh, lên làm Chúa và làm Ðấng Ki-tô”. Nghe những lời nói trên, họ đau đớn trong lòng, nói cùng Phê-rô và các Tông đồ khác rằng: “Thưa các ông, chúng tôi phải làm gì?” Phê-rô nói với họ: “Anh em hãy ăn năn sắm hối, và mỗi người trong anh em hãy chịu phép rửa nhân danh Ðức Giê-su Ki-tô để được tha tội; và anh em sẽ nhận lãnh Thánh Thần. Vì chưng, đó là lời hứa cho anh em, con cái anh em và mọi người sống ở phương xa mà Chúa là Thiên Chúa chúng ta sẽ kêu gọi đến!”\rPhêrô còn minh chứng bằng nhiều lời khác nữa, và khuyên bảo họ rằng: “Anh em hãy cứu mình khỏi dòng dõi gian tà này”. Vậy những kẻ chấp nhận lời ngài giảng đều chịu phép rửa, và ngày hôm ấy có thêm chừng ba ngàn người gia nhập đạo.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 4-5. 18-19. 20 và 22","response":"Ðáp: Ðịa cầu đầy ân sủng Chúa. Hoặc đọc: Alleluia.","verses":["Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng Chúa.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Ngài, nhìn xem những ai cậy trông ân sủng của Ngài, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn.","Xướng: Linh hồn chúng con mong đợi Chúa, chính Ngài là Ðấng phù trợ và che chở chúng con. Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài."]},"alleluia":{"verse":"Ga 14, 8","content":"alleluia! – Thầy sẽ xin Chúa Cha và Người sẽ ban cho các con một Ðấng Phù Trợ khác, để ở cùng các con luôn mãi. – Alleluia."},"gospel":{"excerpt":"Ga 20, 11-18","info":"“Tôi đã trông thấy và Người đã phán với tôi những điều ấy”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, bà Ma-ri-a đang còn đứng gần mồ Chúa mà than khóc. Nhìn vào trong mồ, bà thấy hai thiên thần mặc áo trắng đang ngồi nơi đã đặt xác Chúa Giê-su, một vị ngồi phía đàng đầu, một vị ngồi phía đàng chân. Hai vị hỏi: “Tại sao bà khóc?” Bà trả lời: “Người ta đã lấy mất xác Chúa tôi và tôi không biết người ta đã để Người ở đâu?” Vừa nói xong, bà quay mặt lại, thì thấy Chúa Giê-su đã đứng đó, nhưng bà chưa biết là Chúa Giê-su. Chúa Giê-su hỏi: “Bà kia, sao mà khóc, bà tìm ai?” Tưởng là người giữ vườn, Ma-ri-a thưa: “Thưa ông, nếu ông đã mang xác Người đi, thì xin cho tôi biết ông đã đặt Người ở đâu, để tôi đến lấy xác Người”. Chúa Giê-su gọi: “Ma-ri-a”. Quay mặt lại, bà thưa Người: “Ráp-bô-ni!” (nghĩa là “Lạy Thầy!”). Chúa Giê-su bảo bà: “Ðừng động đến Ta, vì Ta chưa về cùng Cha Ta. Nhưng hãy đi báo tin cho các anh em Ta hay và bảo họ rằng: Ta về cùng Cha Ta, cũng là Cha các con; về cùng Thiên Chúa Ta, cũng là Thiên Chúa các con”.\rMa-ri-a Ma-đa-lê-na đi báo tin cho các môn đệ rằng: “Tôi đã trông thấy Chúa và Chúa đã phán với tôi những điều ấy”.","end":"Ðó là lời Chúa"}},
+        "4013": {"firstReading":{"excerpt":"Cv 3, 1-10","info":"“Có cái này tôi cho anh, là nhân danh Ðức Giê-su, anh hãy đứng dậy mà đi”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, vào giờ thứ chín, là giờ cầu nguyện, Phê-rô và Gio-an lên đền thờ. Lúc bấy giờ có một anh què từ lúc mới sinh, hằng ngày được người ta khiêng đến cửa đền thờ, gọi là Cửa Ðẹp, để xin những người vào đền thờ bố thí cho. Khi thấy Phê-rô và Gio-an tiến vào đền thờ, anh liền xin bố thí. Phê-rô và Gio-an nhìn anh và nói: “Anh hãy nhìn chúng tôi”. Anh ngước mắt chăm chú nhìn hai ngài, mong sẽ được hai ngài cho cái gì. Nhưng Phê-rô nói: “Vàng bạc thì tôi không có, nhưng có cái này tôi cho anh, là: nhân danh Ðức Giê-su Ki-tô Na-da-rét, anh hãy đứng dậy mà đi!” Rồi Phê-rô nắm tay mặt anh mà kéo dậy, tức thì mắt cá và bàn chân anh trở nên cứng cát; anh nhảy ngay lên mà đứng và đi được; anh cùng hai ngài tiến vào đền thờ, anh vừa đi vừa nhảy nhót và ngợi khen Thiên Chúa, và dân chúng đều thấy anh đi và ngợi khen Chúa. Họ nhận ra anh chính là kẻ ngồi ăn xin ở Cửa Ðẹp đền thờ, nên họ bỡ ngỡ sửng sốt về việc xảy đến cho anh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7. 8-9","response":"Ðáp: Tâm hồn những ai tìm Chúa, hãy mừng vui. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ca tụng Chúa, hãy hoan hô danh Ngài, hãy kể ra sự nghiệp Chúa ở giữa chư dân. Hãy xướng ca, đàn hát mừng Ngài, hãy tường thuật mọi điều kỳ diệu của Chúa.","Xướng: Hãy tự hào vì danh thánh của Ngài, tâm hồn những ai tìm Chúa, hãy mừng vui. Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn.","Xướng: Hỡi miêu duệ Áp-ra-ham là tôi tớ của Ngài, hỡi con cháu Gia-cóp, những người được Ngài kén chọn. Chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Ngài bao trùm khắp cả địa cầu.","Xướng: Tới muôn đời Ngài vẫn nhớ lời minh ước, lời hứa mà Ngài đã an bài tới muôn thế hệ, lời minh ước Ngài đã ký cùng Áp-ra-ham, lời thề hứa Ngài đã thề với I-sa-ác."]},"alleluia":{"verse":" ","content":"alleluia! – Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó. – Alleluia."},"gospel":{"excerpt":"Lc 24, 13-35","info":"“Hai ông đã nhận ra Người lúc bẻ bánh”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Cùng ngày thứ nhất trong tuần, có hai môn đệ đi đến một làng tên là Em-mau, cách Giê-ru-sa-lem độ sáu mươi dặm. Dọc đường, các ông nói với nhau về những việc vừa xảy ra. Ðang khi họ nói truyện và trao đổi ý kiến với nhau, thì chính Chúa Giê-su tiến lại cùng đi với họ, nhưng mắt họ bị che phủ nên không nhận ra Người. Người hỏi: “Các ông có truyện gì vừa đi vừa trao đổi với nhau mà buồn bã vậy?” Một người tên là Cờ-lê-ô-pát trả lời: “Có lẽ ông là khách hành hương duy nhất ở Giê-ru-sa-lem mà không hay biết những sự việc vừa xảy ra trong thành mấy ngày nay”. Chúa hỏi: “Việc gì thế?” Các ông thưa: “Sự việc liên can đến ông Giê-su quê thành Na-da-rét. Người là một vị tiên tri có quyền lực trong hành động và ngôn ngữ, trước mặt Thiên Chúa và toàn thể dân chúng. Thế mà các trưởng tế và thủ lãnh của chúng ta đã bắt nộp Người để xử tử và đóng đinh Người vào thập giá. Phần chúng tôi, chúng tôi vẫn hy vọng Người sẽ cứu Ít-ra-en. Các việc ấy đã xảy ra nay đã đến ngày thứ ba rồi. Nhưng mấy phụ nữ trong nhóm chúng tôi, quả thật đã làm chúng tôi lo sợ. Họ đến mồ từ tảng sáng. Và không thấy xác Người, họ trở về nói đã thấy thiên thần hiện ra bảo rằng: Người đang sống. Vài người trong chúng tôi cũng ra thăm mồ và thấy mọi sự đều đúng như lời các phụ nữ đã nói; còn Người thì họ không gặp”.\rBấy giờ Người bảo họ: “Ôi kẻ khờ dại, chậm tin các điều tiên tri đã nói! Chớ thì Ðấng Ki-tô chẳng phải chịu đau khổ như vậy rồi mới được vinh quang sao?” Ðoạn Người bắt đầu từ Mô-sê đến tất cả các tiên tri, giải thích cho hai ông tất cả các lời Kinh Thánh chỉ về Người. Khi gần đến làng hai ông định tới, Người giả vờ muốn đi xa hơn nữa. Nhưng hai môn đệ nài ép Người rằng: “Mời ông ở lại với chúng tôi, vì trời đã về chiều, và ngày sắp tàn”. Người liền vào với các ông.\rÐang khi cùng các ông ngồi bàn, Người cầm bánh, đọc lời chúc tụng, bẻ ra và trao cho hai ông. Mắt họ sáng ra và nhận ra Người. Ðoạn Người biến mất. Họ bảo nhau: “Phải chăng lòng chúng ta đã chẳng sốt sắng lên trong ta khi Người đi đường đàm đạo và giải thích Kinh Thánh cho chúng ta đó ư?” Ngay lúc ấy họ chỗi dậy trở về Giê-ru-sa-lem, và gặp mười một tông đồ và các bạn khác đang tụ họp. Các vị đó bảo hai ông: “Thật Chúa đã sống lại, và đã hiện ra với Si-mon”. Hai ông cũng thuật lại các việc đã xảy ra dọc đường và hai ông đã nhận ra Người lúc bẻ bánh như thế nào.","end":"Ðó là lời Chúa"}},
+        "4014": {"firstReading":{"excerpt":"Cv 3, 11-26","info":"“Ðấng ban sự sống thì anh em đã giết đi, nhưng Thiên Chúa đã cho Người từ cõi chết sống lại”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, khi người què được chữa lành cứ theo sát Phê-rô và Gio-an, toàn dân bỡ ngỡ chạy đến hai ngài đang ở hành lang gọi là hành lang Sa-lô-môn. Thấy vậy Phê-rô liền nói với dân chúng rằng: “Hỡi các người Ít-ra-en, tại sao anh em ngạc nhiên về việc đó và nhìn chúng tôi như là chúng tôi dùng quyền năng hay lòng đạo đức riêng mà làm cho người này đi được? Thiên Chúa Áp-ra-ham, Thiên Chúa I-sa-ác, Thiên Chúa Gia-cóp, Thiên Chúa các tổ phụ chúng ta, đã làm vinh danh Chúa Giê-su, Con của Ngài, Ðấng mà anh em đã nộp và chối bỏ trước mặt Phi-la-tô trong khi Phi-la-tô xét là phải tha cho Người. Anh em đã chối bỏ Ðấng Thánh, Ðấng Công Chính, và xin tha tên sát nhân cho anh em, còn Ðấng ban sự sống thì anh em lại giết đi, nhưng Thiên Chúa đã cho Người từ cõi chết sống lại, điều đó chúng tôi xin làm chứng. Và bởi đã tin vào danh Người, nên danh Người đã làm cho kẻ mà anh em thấy và biết đây, được vững mạnh, và lòng tin vào Người chữa anh này hoàn toàn lành mạnh trước mặt hết thảy anh em.\r“Hỡi anh em, thế nhưng tôi biết rằng anh em đã hành động vì không biết, như các thủ lãnh anh em đã làm. Thiên Chúa đã hoàn tất việc Ngài dùng miệng các tiên tri mà báo trước rằng Ðức Ki-tô của Ngài phải chịu khổ hình. Vậy anh em hãy ăn năn hối cải, ngõ hầu tội lỗi anh em được xóa bỏ, như thế để Thiên Chúa ban cho anh em thời kỳ thư thái, và sai Ðức Giê-su Ki-tô, Ðấng mà Chúa đã phán hứa cùng anh em trước, Ðấng phải về trời cho đến thời kỳ phục hồi vạn vật, như Chúa đã dùng miệng các thánh tiên tri Ngài mà phán từ ngàn xưa. Mô-sê đã nói rằng:\r“Vì Chúa là Thiên Chúa các ngươi sẽ cho xuất hiện giữa anh em các ngươi một tiên tri như ta, các ngươi hãy nghe tất cả những điều Ngài sẽ nói với các ngươi. Vậy, tất cả những ai không chịu nghe theo vị tiên tri đó, thì sẽ bị khai trừ khỏi dân chúng.\r“Và tất cả các tiên tri, từ Sa-mu-en và các vị kế tiếp, đều đã nói và tiên báo về ngày này. Anh em là con cháu các tiên tri và con cháu của giao ước mà Chúa đã thiết lập với các tổ phụ chúng ta, khi Người phán cùng Áp-ra-ham rằng: “Chính nơi dòng dõi ngươi, mọi dân tộc trên mặt đất sẽ được chúc phúc”. Chính vì anh em trước tiên mà Thiên Chúa đã cho Con của Ngài xuất hiện và sai đi chúc phúc cho anh em, để mỗi người từ bỏ tội ác”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 8, 2a và 5. 6-7. 8-9","response":"Ðáp: Lạy Chúa, lạy Chúa chúng con, lạ lùng thay danh Chúa khắp nơi hoàn cầu. Hoặc đọc: Alleluia.","verses":["Xướng: Lạy Chúa, lạy Chúa chúng con, lạ lùng thay danh Chúa khắp nơi hoàn cầu! Nhân loại là chi mà Chúa để ý chăm nom?","Xướng: Chúa dựng nên con người kém thiên thần một chút, Chúa trang sức con người bằng danh dự với vinh quang, Chúa ban cho quyền hành trên công cuộc tay Ngài sáng tạo, Chúa đặt muôn vật dưới chân con người.","Xướng: Nào chiên, nào bò, thôi thì tất cả, cho tới những muông thú ở đồng hoang, chim trời với cá đại dương, những gì lội khắp nẻo đường biển khơi."]},"alleluia":{"verse":" ","content":"alleluia! – Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó. – Alleluia."},"gospel":{"excerpt":"Lc 24, 35-48","info":"“Ðấng Kitô phải chịu thương khó như vậy, rồi mới được tôn vinh”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, hai môn đệ thuật lại các việc đã xảy ra dọc đường và hai ông đã nhận ra Người lúc bẻ bánh như thế nào. Mọi người còn đứng bàn chuyện thì Chúa Giê-su hiện ra đứng giữa họ và phán: “Bình an cho các con! Này Thầy đây, đừng sợ”. Nhưng mọi người bối rối tưởng mình thấy ma. Chúa lại phán: “Sao các con bối rối và lòng các con lo nghĩ như vậy? Hãy xem tay chân Thầy: chính Thầy đây! Hãy sờ mà xem: ma đâu có xương thịt như các con thấy Thầy có đây”. Nói xong, Người đưa tay chân cho họ xem. Thấy họ còn chưa tin, và vì vui mừng mà bỡ ngỡ, Chúa hỏi: “Ở đây các con có gì ăn không?” Họ dâng cho Người một mẩu cá nướng và một tảng mật ong. Người ăn trước mặt các ông và đưa phần còn lại cho họ. Ðoạn Người phán: “Ðúng như lời Thầy đã nói với các con khi Thầy còn ở với các con, là: cần phải ứng nghiệm hết mọi lời đã ghi chép về Thầy trong luật Mô-sê, trong sách tiên tri và thánh vịnh”. Rồi Người mở trí cho các ông am hiểu Kinh Thánh.\rNgười lại nói: “Có lời chép rằng: Ðấng Ki-tô sẽ phải chịu thương khó và ngày thứ ba Người sẽ từ cõi chết sống lại. Rồi phải nhân danh Người rao giảng sự thống hối và sự ăn năn để lãnh ơn tha tội cho muôn dân, bắt đầu từ thành Giê-ru-sa-lem. Còn các con, các con sẽ làm chứng nhân về những điều ấy”.","end":"Ðó là lời Chúa"}},
+        "4015": {"firstReading":{"excerpt":"Cv 4, 1-12","info":"“Ơn cứu độ không gặp được ở nơi một ai khác”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, đang lúc Phê-rô và Gio-an giảng cho dân chúng (sau khi chữa lành người què), thì các tư tế, vị lãnh binh cai đền thờ và các người thuộc nhóm Sa-đốc áp tới, bực tức vì các ngài giảng dạy dân chúng và công bố việc Ðức Giê-su từ cõi chết sống lại. Họ ra tay bắt các ngài và đem tống giam vào ngục cho đến hôm sau, vì lúc đó đã chiều tối rồi. Nhưng trong số những kẻ nghe giảng, có nhiều người tin, và nguyên số đàn ông cũng đã tới năm ngàn người. Ðến hôm sau, các thủ lãnh, kỳ lão và luật sĩ ở Giê-ru-sa-lem, có cả An-na thượng tế, Cai-pha, Gio-an, A-lê-xan-đê, và tất cả những người thuộc dòng tư tế, nhóm họp. Họ cho điệu hai ngài ra giữa mà chất vấn rằng: “Các ông lấy quyền hành và danh nghĩa nào mà làm điều đó?”\rLúc bấy giờ Phê-rô được đầy Thánh Thần đã nói: “Thưa chư vị thủ lãnh toàn dân và kỳ lão, xin hãy nghe, nhân vì hôm nay chúng tôi bị đem ra xét hỏi về việc thiện đã làm cho một người tàn tật, về cách thức mà con người đó đã được chữa khỏi, xin chư vị tất cả, và toàn dân Israel biết cho rằng: Chính nhờ Danh Ðức Giê-su Kitô Na-da-rét, Chúa chúng tôi, Người mà chư vị đã đóng đinh, và Thiên Chúa đã cho từ cõi chết sống lại, chính nhờ danh Người mà anh này được lành mạnh như chư vị thấy đây. Chính Người là viên đá đã bị chư vị là thợ xây loại ra, đã trở thành viên Ðá Góc tường; và ơn cứu độ không gặp được ở nơi một ai khác. Bởi chưng không một Danh nào khác ở dưới gầm trời đã được ban tặng cho loài người, để nhờ vào Danh đó mà chúng ta được cứu độ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1-2 và 4. 22-24. 25-27a","response":"Ðáp: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Hỡi nhà Ít-ra-en, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi những người tôn sợ Chúa, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta. Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó.","Xướng: Thân lạy Chúa, xin gia ơn cứu độ; thân lạy Chúa, xin ban cho đời sống phồn vinh. Phúc đức cho Ðấng nhân danh Chúa mà đến; từ nhà Chúa, chúng tôi cầu phúc cho chư vị. Chúa là Thiên Chúa và đã soi sáng chúng tôi."]},"alleluia":{"verse":" ","content":"alleluia! – Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó. – Alleluia."},"gospel":{"excerpt":"Ga 21, 1-14","info":"“Chúa Giê-su đến, cầm bánh và cá trao cho họ ăn”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, lúc các môn đệ đang ở bờ biển Ti-bê-ri-a, Chúa Giêsu lại hiện đến. Công việc đã xảy ra như sau: Si-mon Phê-rô, Tô-ma cũng gọi là Ði-đy-mô, Na-tha-na-en quê tại Ca-na xứ Ga-li-lê-a, các con ông Giê-bê-đê, và hai môn đệ nữa đang ở với nhau. Si-mon Phê-rô bảo: “Tôi đi đánh cá đây”. Các ông kia nói rằng: “Chúng tôi cùng đi với ông”. Mọi người ra đi xuống thuyền. Nhưng đêm ấy các ông không bắt được con cá nào. Lúc rạng đông, Chúa Giê-su hiện đến trên bờ biển, nhưng các môn đệ không biết là Chúa Giê-su. Người liền hỏi: “Này các con, có gì ăn không?” Họ đồng thanh đáp: “Thưa không”. Chúa Giê-su bảo: “Hãy thả lưới bên hữu thuyền thì sẽ được”. Các ông liền thả lưới và hầu không kéo nổi lưới lên, vì đầy cá. Người môn đệ Chúa Giê-su yêu, liền nói với Phê-rô: “Chính Chúa đó”. Si-mon Phê-rô nghe nói là Chúa, liền khoác áo vào, vì đang ở trần, rồi nhảy xuống biển. Các môn đệ khác chèo thuyền vào và kéo lưới đầy cá theo, vì không còn xa đất bao nhiêu, chỉ độ hai trăm thước tay.\rKhi các ông lên bờ, thấy có sẵn lửa than, trên để cá và bánh. Chúa Giêsu bảo: “Các con hãy mang cá mới bắt được lại đây”. Si-mon Phê-rô xuống thuyền kéo lưới lên bờ. Lưới đầy toàn cá lớn; tất cả được một trăm năm mươi ba con. Dầu cá nhiều đến thế, nhưng lưới không rách.\rChúa Giê-su bảo rằng: “Các con hãy lại ăn”. Không ai trong đám ngồi ăn dám hỏi: “Ông là ai?” Vì mọi người đã biết là Chúa. Chúa Giê-su lại gần, lấy bánh trao cho các môn đệ; Người cũng cho cá như thế. Ðây là lần thứ ba, Chúa Giê-su đã hiện ra với môn đệ khi Người từ cõi chết sống lại.","end":"Ðó là lời Chúa"}},
+        "4016": {"firstReading":{"excerpt":"Cv 4, 13-21","info":"“Chúng tôi không thể nào không nói lên những điều mắt thấy tai nghe”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, các thủ lãnh, kỳ lão và luật sĩ nhận thấy Phê-rô và Gio-an kiên quyết, và biết hai ngài là những kẻ thất học và dốt nát, nên lấy làm lạ; và còn biết rằng hai ngài đã ở cùng Ðức Giê-su; họ thấy kẻ được chữa lành đứng ở đó với hai ngài, nên họ không thể nói gì nghịch lại được. Họ mới truyền lệnh cho hai ngài ra khỏi hội nghị, rồi thảo luận với nhau rằng: “Chúng ta phải làm gì đối với những người này? Vì toàn dân cư ngụ ở Giê-ru-sa-lem đều hay biết, phép lạ hai ông đã làm rõ ràng quá chúng ta không thể chối được. Nhưng để sự việc không còn loan truyền trong dân nữa, chúng ta hãy đe dọa, cấm hai ông không được lấy danh ấy mà giảng cho ai nữa”. Họ liền gọi hai ngài vào và cấm nhặt không được nhân danh Ðức Giê-su mà nói và giảng dạy nữa. Nhưng Phê-rô và Gio-an trả lời họ rằng: “Trước mặt Chúa, các ngài hãy xét coi: nghe các ngài hơn nghe Chúa, có phải lẽ không? Vì chúng tôi không thể nào không nói lên những điều mắt thấy tai nghe”. Nhưng họ lại đe dọa hai ngài, rồi thả về, vì không tìm được cách nào trừng phạt hai ngài, họ lại còn sợ dân chúng, vì mọi người đều ca tụng Thiên Chúa về việc đã xảy ra.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1 và 14-15. 16ab-18. 19-21","response":"Ðáp: Tôi cảm tạ Chúa vì Chúa đã nhậm lời tôi. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Chúa là sức mạnh, là dũng lực của tôi, và Người trở nên Ðấng cứu độ tôi. Tiếng reo mừng và chiến thắng vang lên trong cư xá những kẻ hiền nhân:Tay hữu Chúa đã hành động mãnh liệt.","Xướng: Tay hữu Chúa đã cất nhắc tôi lên, tay hữu Chúa đã hành động mãnh liệt. Tôi không chết, nhưng tôi sẽ sống, và tôi sẽ loan truyền công cuộc của Chúa. Chúa sửa trị, Chúa sửa trị tôi, nhưng Người đã không nạp tôi cho tử thần.","Xướng: Xin mở cho tôi các cửa công minh, để tôi vào và cảm tạ ơn Chúa. Ðây là ngọ môn của Chúa, những người hiền đức qua đó tiến vào. Tôi cảm tạ Chúa vì Chúa đã nhậm lời tôi, và đã trở nên Ðấng cứu độ tôi."]},"alleluia":{"verse":" ","content":"alleluia! – Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó. – Alleluia."},"gospel":{"excerpt":"Mc 16, 9-15","info":"“Các con hãy đi khắp thế gian rao giảng Tin Mừng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi Chúa Giê-su sống lại, sáng sớm ngày thứ nhất trong tuần, thì trước hết Người hiện ra với Ma-ri-a Ma-đa-lê-na, kẻ đã được Chúa đuổi bảy quỷ. Bà đi báo tin cho những kẻ đã từng ở với Người và nay đang buồn thảm khóc lóc. Họ nghe bà nói Chúa sống lại và bà đã thấy Người, nhưng họ không tin. Sau đó, Chúa lại hiện ra dưới hình thức khác với hai môn đệ đang trên đường về miền quê. Hai ông trở về báo tin cho anh em, nhưng họ cũng không tin các ông ấy. Sau hết, Chúa hiện ra với mười một tông đồ lúc đang ngồi ăn. Chúa khiển trách các ông đã cứng lòng, vì các ông không tin những kẻ đã thấy Người sống lại. Rồi Người phán: “Các con hãy đi khắp thế gian rao giảng Tin Mừng cho muôn loài”.","end":"Ðó là lời Chúa"}},
+        "4021": {"firstReading":{"excerpt":"Cv 4, 23-31","info":"“Khi họ cầu nguyện xong, thì được đầy Thánh Thần và tin tưởng rao giảng lời Chúa”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, sau khi được phóng thích, Phê-rô và Gio-an trở về cùng các anh em, và thuật lại cho họ nghe tất cả những điều mà các thượng tế và kỳ lão đã nói. Vừa nghe thuật lại, họ đồng thanh cất tiếng nguyện cùng Thiên Chúa rằng: “Lạy Chúa, Chúa là Ðấng tạo thành trời đất, biển cả và mọi vật trong đó. Nhờ Thánh Thần, Chúa đã dùng miệng tổ phụ chúng con là Ða-vít tôi tớ Chúa mà phán: “Tại sao chư dân chấn động, và các nước lại mưu đồ chuyện luống công? Các vua thiên hạ đều nổi dậy, các thủ lãnh toa rập với nhau chống lại Chúa và Ðấng Ki-tô của Người”. Vì quả thật, tại thành Giê-ru-sa-lem này, Hê-rô-đê và Phong-xi-ô Phi-la-tô đã liên kết với các dân ngoại và dân Ít-ra-en, mà chống lại tôi tớ thánh của Chúa là Ðức Giêsu, Ðấng Chúa đã xức dầu, để thực hiện những điều mà quyền năng và ý định Chúa đã dự liệu từ trước. Và lạy Chúa, giờ đây, hãy xem họ đang đe dọa, và xin ban cho các tôi tớ Chúa được đầy lòng tin tưởng rao giảng lời Chúa, cùng xin Chúa giơ tay chữa lành các bệnh nhân, làm những dấu lạ, và những việc phi thường nhân danh Thánh Tử của Chúa là Ðức Giê-su”.\rKhi họ cầu nguyện xong, thì nơi họ đang tập họp liền chuyển động, mọi người được tràn đầy Thánh Thần và tin tưởng rao giảng lời Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 2, 1-3. 4-6. 7-9","response":"Ðáp: Phúc cho tất cả những ai tin tưởng nơi Chúa (c. 13b).","verses":["Xướng: Tại sao chư dân chấn động, và các nước mưu đồ chuyện luống công: các vua mặt đất cùng nổi dậy, và bậc quân vương nhất tề âm mưu phản nghịch Chúa và Ðấng Ki-tô của Người. Họ nói: “Ðập tan xiềng xích chúng ra, gông cùm chúng, hãy ném cho xa bọn mình”.","Xướng: Ðấng ngự trên thiên đình cười nhạo, Chúa mỉa mai cười chúng. Bấy giờ Người phán bảo chúng trong cơn thịnh nộ, và làm cho chúng rối loạn trong cơn lôi đình: “Nhưng Ta đã đặt vương nhi Ta trên núi Si-on, núi thánh của Ta”.","Xướng: Ta sẽ truyền rao thánh chỉ của Chúa: Chúa đã phán bảo cùng Ta: “Con là thái tử của Cha, hôm nay Cha đã sinh thành ra Con. Hãy xin Cha và Cha sẽ cho Con được chư dân làm phần sản nghiệp, và tận cùng cõi đất làm gia tài. Con sẽ cai trị chúng bằng cây gậy sắt, như bình thợ gốm, Con đem nghiền nát chúng ra”."]},"alleluia":{"verse":"Mt 23, 19 và 20","content":"alleluia! – Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở với các con mọi ngày cho đến tận thế. – Alleluia."},"gospel":{"excerpt":"Ga 3, 1-8","info":"“Nếu không tái sinh bởi trời, thì chẳng ai được thấy Nước Chúa”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, trong nhóm biệt phái, có người tên là Ni-cô-đê-mô, một đầu mục của người Do-thái. Ông đến thăm Chúa Giê-su ban đêm và thưa rằng: “Lạy Thầy, chúng tôi nhận biết Thầy là một vị tôn sư Thiên Chúa ủy phái đến. Vì không ai làm được những dấu lạ Thầy làm, nếu Thiên Chúa không ở cùng người đó”. Chúa Giê-su đáp: “Thật, Tôi bảo thật cho ông biết, nếu không tái sinh bởi trời, thì chẳng ai được thấy Nước Chúa”. Ni-cô-đê-mô thưa Chúa rằng: “Một người đã già, làm sao có thể tái sinh? Không lẽ người ấy lại vào lòng mẹ mà sinh ra lần nữa sao?” Chúa Giê-su đáp: “Thật, Tôi bảo thật cho ông biết, nếu không tái sinh bởi nước và Thánh Thần, thì không ai được vào nước Thiên Chúa. Sự gì sinh bởi huyết nhục, thì là huyết nhục; và sự gì sinh bởi Thần Linh, thì là thần linh. Ông đừng ngạc nhiên vì nghe Tôi nói rằng: Các ngươi phải tái sinh bởi trời. Gió muốn thổi đâu thì thổi, ông nghe tiếng gió, nhưng chẳng biết gió từ đâu đến và đi đâu: mọi kẻ sinh bởi Thần Linh cũng vậy”.","end":"Ðó là lời Chúa"}},
+        "4022": {"firstReading":{"excerpt":"Cv 4, 32-37","info":"“Họ một lòng một ý với nhau”.","title":"Trích sách Tông đồ Công vụ.","content":"Bấy giờ tất cả đoàn tín hữu đông đảo đều đồng tâm nhất trí. Chẳng ai kể của gì mình có là của riêng, song để mọi sự làm của chung. Các tông đồ dùng quyền năng cao cả mà làm chứng việc Ðức Giê-su Ki-tô, Chúa chúng ta sống lại. Hết thảy đều được mến chuộng. Vì thế, trong các tín hữu, không có ai phải túng thiếu. Vì những người có ruộng nương nhà cửa đều bán đi và bán được bao nhiêu tiền thì đem đặt dưới chân các tông đồ. Và người ta phân phát cho mỗi người tuỳ theo nhu cầu của họ. Ông Giu-se, người mà các tông đồ đặt tên là Ba-na-bê (nghĩa là con sự an ủi), một thầy tư tế, quê ở Sýp, có một thửa ruộng, ông bán đi và đem tiền đặt dưới chân các tông đồ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","response":"Ðáp: Chúa làm vua, Ngài đã mặc thiên oai (c. 1a).","verses":["Xướng: 1) Chúa làm vua, Ngài đã mặc thiên oai. Chúa đã vận uy quyền, Ngài đã thắt long đai. – Ðáp.","2) Và Ngài giữ vững địa cầu, nó sẽ không còn lung lay. Ngai báu của Ngài thiết lập từ muôn thuở, tự đời đời vẫn có Chúa. – Ðáp.","3) Lời chứng bảo của Ngài rất đáng tin, lạy Chúa, sự thánh thiện là của riêng nhà Ngài, cho tới muôn muôn ngàn thuở. – Ðáp."]},"alleluia":{"verse":"Ga 14, 18","content":"alleluia! – Chúa phán: “Thầy sẽ không bỏ các con mồ côi: Thầy sẽ đến với các con và lòng các con sẽ vui mừng”. – Alleluia."},"gospel":{"excerpt":"Ga 3, 7-15","info":"“Không ai lên trời được, ngoài người đã từ trời xuống, tức là Con Người vốn ở trên trời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su nói với Ni-cô-đê-mô rằng: “Thật, Tôi bảo cho ông biết: Ông đừng ngạc nhiên vì nghe Tôi nói rằng: Các ngươi phải tái sinh bởi trời. Gió muốn thổi đâu thì thổi, ông nghe tiếng gió, nhưng chẳng biết gió từ đâu đến và đi đâu: mọi kẻ sinh bởi Thần Linh cũng vậy”.\rNi-cô-đê-mô hỏi lại rằng: “Việc ấy xảy ra thế nào được?” Chúa Giê-su đáp: “Ông là bậc thầy trong dân Ít-ra-en mà ông không biết điều ấy sao? Thật, tôi bảo thật cho ông biết: Ðiều chúng tôi biết thì chúng tôi nói; điều chúng tôi thấy thì chúng tôi minh chứng. Nhưng các ông lại không nhận lời chứng của chúng tôi. Nếu khi Tôi nói về những sự dưới đất mà các ông không tin, khi Tôi nói những sự trên trời, các ông tin thế nào được? Không ai lên trời được, ngoài người đã từ trời xuống, tức là Con Người vốn ở trên trời. Cũng như Mô-sê treo con rắn nơi hoang địa thế nào, thì Con Người cũng phải bị treo lên như vậy, để những ai tin vào Người, thì không bị tiêu diệt muôn đời”.","end":"Ðó là lời Chúa"}},
+        "4023": {"firstReading":{"excerpt":"Cv 5, 17-26","info":"“Kìa, những người mà các ông tống ngục, hiện đang đứng giảng dạy dân chúng trong đền thờ”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, vị thượng tế và mọi người thuộc phe ông, tức là phái Sađốc, đầy lòng phẫn nộ; họ ra tay bắt các tông đồ tống ngục. Nhưng đến đêm, Thiên Thần Chúa mở cửa ngục, dẫn các ngài đi và nói: “Hãy đi vào đền thờ giảng dạy cho dân chúng biết mọi lời hằng sống này”. Nghe lệnh ấy, sáng sớm các ngài vào đền thờ và giảng dạy.\rLúc bấy giờ vị thượng tế và các người thuộc phe ông đến, triệu tập công nghị và tất cả các vị kỳ lão trong dân Israel, rồi sai người vào tù dẫn các tông đồ ra. Khi thủ hạ đến nơi, mở cửa ngục, không thấy các tông đồ, họ liền trở về báo cáo rằng: “Thật chúng tôi thấy cửa ngục đóng rất kỹ lưỡng, lính canh vẫn đứng gác ngoài cửa, nhưng khi chúng tôi mở cửa ra, thì không thấy ai ở bên trong cả”.\rKhi nghe các lời đó, viên lãnh binh cai đền thờ và các thượng tế rất lúng túng, không biết rõ công việc đã xảy đến cho các tông đồ. Lúc đó có người đến báo tin cho họ rằng: “Kìa, những người mà các ông đã tống ngục, hiện đang đứng giảng dạy dân chúng trong đền thờ”. Bấy giờ viên lãnh binh cùng các thủ hạ tới dẫn các tông đồ đi mà không dùng bạo lực, vì sợ bị dân chúng ném đá.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Kìa người đau khổ cầu cứu và Chúa đã nghe. Hoặc đọc: Alleluia.","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Thần Chúa hạ trại đồn binh chung quanh những người sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao; phúc đức ai nương tựa ở nơi Người."]},"alleluia":{"verse":"Ga 14, 26","content":"alleluia! – Thánh Thần sẽ dạy các con mọi điều, và sẽ nhắc nhở cho các con tất cả những gì Thầy đã nói với các con. – Alleluia."},"gospel":{"excerpt":"Ga 3, 16-21","info":"“Thiên Chúa đã sai Chúa Con đến để thế gian nhờ Người mà được cứu độ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu nói với Nicôđêmô rằng: “Thiên Chúa đã yêu thế gian đến nỗi đã ban Con Một Người để tất cả những ai tin ở Con của Người, thì không phải hư mất, nhưng được sống đời đời, vì Thiên Chúa không sai Con của Người giáng trần để luận phạt thế gian, nhưng để thế gian nhờ Con của Người mà được cứu độ. Ai tin Người Con ấy, thì không bị luận phạt. Ai không tin thì đã bị luận phạt rồi, vì không tin vào danh Con Một Thiên Chúa và đây là án luận phạt: là sự sáng đã đến thế gian và người đời đã yêu sự tối tăm hơn sự sáng, vì hành động của họ xấu xa. Thật vậy, ai hành động xấu xa thì ghét sự sáng, và không đến cùng sự sáng, sợ những việc làm của mình bị khiển trách, nhưng ai hành động trong sự thật, thì đến cùng sự sáng, để hành động của họ được sáng tỏ, là họ đã hành động trong Thiên Chúa.","end":"Ðó là lời Chúa"}},
+        "4024": {"firstReading":{"excerpt":"Cv 5, 27-33","info":"“Chúng tôi là nhân chứng các lời đó cùng với Thánh Thần”.","title":"Trích sách Tông đồ Công vụ.","content":"Hôm ấy, khi các thủ hạ dẫn các tông đồ đi, họ đem các ngài ra trước công nghị. Vị thượng tế hỏi các ngài rằng: “Ta đã ra lệnh cấm các ngươi nhân danh ấy mà giảng dạy. Thế mà các ngươi đã giảng dạy giáo lý các ngươi khắp cả Giê-ru-sa-lem; các ngươi còn muốn làm cho máu người đó lại đổ trên chúng tôi ư?” Phêrô và các tông đồ trả lời rằng: “Phải vâng lời Thiên Chúa hơn là vâng lời người ta. Thiên Chúa của cha ông chúng ta đã cho Ðức Giê-su sống lại, Ðấng mà các ông đã giết khi treo Ngài trên thập giá. Thiên Chúa đã dùng quyền năng tôn Ngài làm thủ lãnh và làm Ðấng Cứu Ðộ, để ban cho Israel được ăn năn sám hối và được ơn tha tội. Chúng tôi là nhân chứng các lời đó cùng với Thánh Thần, Ðấng mà Thiên Chúa đã ban cho mọi kẻ vâng lời Người?” Khi nghe những lời đó, họ liền phẫn nộ và tìm mưu giết các ngài.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2 và 9. 17-18. 19-20","response":"Ðáp: Kìa người đau khổ cầu cứu và Chúa đã nghe","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao; phúc đức ai tìm nương tựa ở nơi Người.","Xướng: Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần ai. Người hiền đức kêu cầu và Chúa nghe lời họ, Ngài cứu họ khỏi mọi nỗi âu lo.","Xướng: Chúa gần gũi những kẻ đoạn trường, và cứu chữa những tâm hồn đau thương giập nát. Người hiền đức gặp nhiều bước gian truân, nhưng Chúa luôn luôn giải thoát."]},"alleluia":{"verse":"Ga 16, 7 và 13","content":"alleluia! – Chúa phán: “Thầy sẽ sai Thần Chân Lý đến, người sẽ dạy các con biết tất cả sự thật”. – Alleluia."},"gospel":{"excerpt":"Ga 3, 31-36","info":"“Ðức Chúa Cha thương mến Con Ngài, nên ban toàn quyền trong tay Con Ngài”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, ông Gio-an nói để làm chứng về Chúa Giê-su rằng: “Ðấng từ trên cao mà đến thì vượt trên hết mọi người. Kẻ bởi đất mà ra, thì thuộc về đất và nói những sự thuộc về đất. Ðấng từ trời mà đến thì vượt trên hết mọi người. Ðiều gì Người thấy và nghe, thì Người làm chứng về điều đó. Nhưng lời chứng của Người không ai chấp nhận. Ai chấp nhận lời chứng của Người, thì quả quyết Thiên Chúa là Ðấng chân thật. Ðấng được Thiên Chúa sai đến thì nói lời của Thiên Chúa, vì được Chúa ban cho thần linh khôn lường. Cha yêu mến Con, nên đã ban mọi sự trong tay Con. Ai tin vào Con thì có sự sống đời đời. Còn ai không tin vào Con, thì sẽ không được thấy sự sống, nhưng cơn thịnh nộ của Thiên Chúa đè nặng trên người ấy”.","end":"Ðó là lời Chúa"}},
+        "4025": {"firstReading":{"excerpt":"Cv 5, 34-42","info":"“Các ngài hân hoan ra về, vì thấy mình xứng đáng chịu sỉ nhục vì danh Ðức Giê-su”.","title":"Trích sách Tông đồ Công vụ.","content":"Bấy giờ, có người biệt phái tên là Ga-ma-li-en, cũng là luật sĩ, có thế giá trong dân, đứng lên giữa công nghị, truyền dẫn các tông đồ ra ngoài trong giây lát, rồi nói với các người trong công nghị rằng: “Hỡi chư vị Israel, xin hãy thận trọng về việc chư vị định làm đối với những người này. Vì trước đây ít ngày, có tên Thê-ô-đa nổi lên, tự xưng là một nhân vật, có độ bốn trăm người theo mình, y đã bị giết, và nhóm người theo y đều tan rã và không còn gì nữa. Sau y, lại có tên Giu-đa người Ga-li-lê-a, cũng nổi lên trong những ngày kiểm tra dân số, lôi kéo dân chúng theo mình, rồi chính hắn cũng chết, mọi kẻ theo hắn đều tan rã. Và bây giờ, tôi xin chư vị đừng can dự gì đến những người này, cứ để mặc họ: vì nếu một mưu toan hay việc này là do loài người, thì sẽ tự tan rã; nhược bằng bởi Thiên Chúa, thì chư vị không thể phá tan được, kẻo lỡ ra mang tội chống đối Thiên Chúa”. Họ đồng ý. Họ cho gọi các tông đồ vào, ra lệnh đánh đòn các ngài, và cấm tuyệt đối không được nhân danh Ðức Giê-su mà giảng dạy nữa, đoạn tha các ngài về. Vậy các ngài ra khỏi công nghị, lòng hân hoan, vì thấy mình xứng đáng chịu sỉ nhục vì Danh Ðức Giê-su. Và hằng ngày, tại đền thờ hay tại tư gia, các ngài cứ tiếp tục giảng dạy, và loan truyền Tin Mừng Ðức Giê-su Ki-tô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","response":"Ðáp: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi, hầu vui hưởng sự êm đềm của Chúa, và chiêm ngưỡng thánh điện của Ngài.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa."]},"alleluia":{"verse":"Cl 3, 1","content":"alleluia! – Nếu anh em sống lại làm một với Ðức Kitô, thì anh em hãy kiếm những sự cao siêu trên trời, nơi Ðức Ki-tô, đang ngự bên hữu Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 6, 1-15","info":"“Người phân phát cho các kẻ ngồi ăn, ai muốn bao nhiêu tuỳ thích”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su đi sang bên kia biển Ga-li-lê-a, cũng gọi là Ti-bê-ri-a. Có đám đông dân chúng theo Người, vì họ đã thấy những phép lạ Người làm cho những kẻ bệnh tật. Chúa Giê-su lên núi và ngồi đó với các môn đệ. Lễ Vượt Qua là đại lễ của người Do-thái đã gần tới. Chúa Giê-su ngước mắt lên và thấy đám rất đông dân chúng đến với Người. Người hỏi Phi-líp-phê: “Ta mua đâu được bánh cho những người này ăn?” Người hỏi như vậy có ý thử ông, vì chính Người đã biết việc Người sắp làm. Phi-líp-phê thưa: “Hai trăm bạc bánh cũng không đủ để mỗi người được một chút”.\rMột trong những môn đệ, tên là An-rê, em ông Si-mon Phê-rô, thưa cùng Người rằng: “Ở đây có một bé trai có năm chiếc bánh lúa mạch và hai con cá, nhưng bấy nhiêu thì thấm vào đâu cho từng ấy người”. Chúa Giê-su nói: “Cứ bảo người ta ngồi xuống”. Nơi đó có nhiều cỏ, người ta ngồi xuống, số đàn ông độ năm ngàn. Bấy giờ Chúa Giê-su cầm lấy bánh và khi đã tạ ơn, Người phân phát cho các kẻ ngồi ăn, và cá cũng phân phát như thế, ai muốn bao nhiêu tuỳ thích. Khi họ đã no nê, Người bảo các môn đệ: “Hãy thu lấy những miếng còn lại, kẻo phí đi”. Họ thu lại mười hai thúng đầy bánh vụn do năm chiếc bánh lúa mạch người ta đã ăn mà còn dư.\rThấy phép lạ Chúa Giê-su đã làm, người ta đều nói rằng: “Thật ông này là Ðấng Tiên tri phải đến trong thế gian”. Vì Chúa Giê-su biết rằng người ta sẽ đến bắt Người để tôn làm vua, nên Người lại trốn lên núi một mình.","end":"Ðó là lời Chúa"}},
+        "4026": {"firstReading":{"excerpt":"Cv 6, 1-7","info":"“Họ chọn bảy người đầy Thánh Thần”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, số môn đồ gia tăng, nên xảy ra việc các người Hy-lạp kêu trách các người Do-thái, vì trong việc phục vụ hằng ngày, người ta khinh miệt các bà goá trong nhóm họ. Nên Mười Hai Vị triệu tập toàn thể môn đồ đến và bảo: “Chúng tôi bỏ việc rao giảng lời Chúa mà lo đi giúp bàn, thì không phải lẽ. Vậy thưa anh em, anh em hãy chọn lấy bảy người trong anh em có tiếng tốt, đầy Thánh Thần và khôn ngoan, để chúng tôi đặt họ làm việc đó. Còn chúng tôi, thì sẽ chuyên lo cầu nguyện và phục vụ lời Chúa”. Cả đoàn thể đều tán thành lời các ngài và chọn Têphanô, một người đầy đức tin và Thánh Thần, và chọn Philipphê, Prôcô, Nicanô, Timon, Parmêna và Nicôla quê ở Antiôkia. Họ đưa mấy vị đó đến trước mặt các Tông đồ. Các ngài cầu nguyện và đặt tay trên các vị đó. Lời Chúa lan tràn, và số môn đồ ở Giêrusalem gia tăng rất nhiều. Cũng có đám đông tư tế vâng phục đức tin.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 18-19","response":"Ðáp: Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, như chúng con đã trông cậy Chúa (c. 22).","verses":["Xướng: Người hiền đức, hãy hân hoan trong Chúa, ca ngợi là việc của những kẻ lòng ngay. Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa.","Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng Chúa.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Người, nhìn xem những ai cậy trông ân sủng của Người, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn."]},"alleluia":{"verse":"Ga 19, 28","content":"alleluia! – Thầy bởi Cha mà ra, và đã đến trong thế gian; bây giờ Thầy lại bỏ thế gian mà về cùng Cha. – Alleluia."},"gospel":{"excerpt":"Ga 6, 16-21","info":"“Họ thấy Chúa Giê-su đi trên mặt biển”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Chiều đến, các môn đệ Chúa Giê-su xuống bờ biển. Rồi lên thuyền, sang bên kia, trẩy về hướng Ca-phác-na-um. Trời đã tối, mà Chúa Giê-su vẫn chưa đến với họ. Bỗng cuồng phong thổi lên, biển động mạnh. Khi chèo đi được chừng hai mươi lăm hay ba mươi dặm, thì họ thấy Chúa Giê-su đi trên mặt biển, tiến lại gần thuyền, họ hoảng sợ. Nhưng Người nói với họ: “Chính Thầy đây, đừng sợ”. Họ định rước Người lên thuyền, nhưng ngay lúc ấy, thuyền đã đến nơi họ định tới.","end":"Ðó là lời Chúa"}},
+        "4031": {"firstReading":{"excerpt":"Cv 6, 8-15","info":"“Họ không thể đương đầu với sự khôn ngoan và Thánh Thần vẫn giúp cho ông nói”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Têphanô đầy ân sủng và sức mạnh, làm nên những điều kỳ diệu và những phép lạ cả thể trong dân. Bấy giờ có nhóm người kia thuộc hội đường mệnh danh là “của những người Tự Do, người Xirênê và Alexandria”, và những người khác từ xứ Cilicia và Tiểu Á, đã nổi dậy. Họ tranh luận với Têphanô, nhưng họ không thể đương đầu với sự khôn ngoan và Thánh Thần vẫn giúp cho ông nói. Họ xúi giục một số người nói lên rằng: “Chúng ta đã nghe nó nói những lời lộng ngôn phạm đến Môsê và Thiên Chúa”. Họ xách động dân chúng, các kỳ lão và luật sĩ; rồi họ tuôn đến bắt Têphanô điệu tới công nghị. Họ đưa ra những người làm chứng gian nói rằng: “Tên này không ngớt nói những lời xúc phạm đến nơi thánh và lề luật, vì chúng tôi nghe nó nói rằng: “Ông Giêsu Nadarét sẽ phá nơi này, và thay đổi các tập tục Môsê truyền lại cho chúng ta”. Toàn thể cử toạ trong công nghị chăm chú nhìn Têphanô, thấy mặt người giống như mặt thiên thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 23-24. 26-27. 29-30","response":"Ðáp: Phúc cho ai theo đường lối tinh toàn (c. 1a).","verses":["Xướng: 1) Dầu vua chúa hội lại và buông lời đả kích, tôi tớ Ngài vẫn suy gẫm về thánh chỉ Ngài. Vì các lời nghiêm huấn của Ngài là điều con ưa thích, các thánh chỉ Ngài là những bậc cố vấn của con. – Ðáp.","2) Con đã trình bày đường lối của con và Chúa nghe con, xin dạy bảo con các thánh chỉ của Ngài. Xin cho con am hiểu đường lối huấn lệnh của Chúa, để con suy gẫm các điều kỳ diệu của Ngài. – Ðáp.","3) Xin đưa con xa cách con đường gian dối, và rộng tay ban luật pháp của Ngài cho con. Con đã chọn con đường chân lý, con quyết tâm theo các thánh chỉ của Ngài. – Ðáp."]},"alleluia":{"verse":"Ga 16, 28","content":"alleluia! – Thầy bởi Cha mà ra, và đã đến trong thế gian, rồi bây giờ Thầy bỏ thế gian mà về cùng Cha. – Alleluia."},"gospel":{"excerpt":"Ga 6, 22-29","info":"“Hãy ra công làm việc không phải vì của ăn hay hư nát, nhưng vì của ăn tồn tại cho đến cuộc sống đời đời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Hôm sau, đám người còn ở lại bên kia biển thấy rằng không có thuyền nào khác, duy chỉ có một chiếc, mà Chúa Giêsu không lên thuyền đó với các môn đệ, chỉ có các môn đệ ra đi mà thôi. Nhưng có nhiều thuyền khác từ Tibêria đến gần nơi dân chúng đã được ăn bánh. Khi đám đông thấy không có Chúa Giêsu ở đó, và môn đệ cũng không, họ liền xuống các thuyền kia và đến Capharnaum tìm Chúa Giêsu.\rKhi gặp Người ở bờ biển bên kia, họ nói với Người: “Thưa Thầy, Thầy đến đây bao giờ?” Chúa Giêsu đáp: “Thật, Ta bảo thật các ngươi, các ngươi tìm ta không phải vì các ngươi đã thấy những dấu lạ, nhưng vì các ngươi đã được ăn bánh no nê. Các ngươi hãy ra công làm việc không phải vì của ăn hay hư nát, nhưng vì của ăn tồn tại cho đến cuộc sống đời đời, là của ăn Con Người sẽ ban cho các ngươi. Người là Ðấng mà Thiên Chúa Cha đã ghi dấu”. Họ liền thưa lại rằng: “Chúng tôi phải làm gì để gọi là làm việc của Thiên Chúa?” Chúa Giêsu đáp: “Ðây là công việc của Thiên Chúa, là các ngươi hãy tin vào Ðấng Ngài sai đến”.","end":"Ðó là lời Chúa"}},
+        "4032": {"firstReading":{"excerpt":"Cv 7, 51-59","info":"“Lạy Chúa Giê-su, xin đón nhận tâm hồn con”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi ấy, Tê-pha-nô nói với dân chúng, các kỳ lão và luật sĩ rằng: “Hỡi những tên cứng cổ, lòng và tai chẳng cắt bì kia, các ngươi luôn luôn chống đối Thánh Thần; cha ông các ngươi làm sao, các ngươi cũng vậy. Có tiên tri nào mà cha ông các ngươi lại không bắt bớ? Họ đã giết những người tiên báo về việc Ðấng Công chính sẽ đến, Ðấng mà ngày nay các ngươi đã nộp và giết chết; các ngươi đã lãnh nhận lề luật do thiên thần truyền cho, nhưng đã không tuân giữ”.\rNghe ông nói, họ phát điên lên trong lòng, và họ nghiến răng phản đối ông. Nhưng Tê-pha-nô đầy Thánh Thần, nhìn lên trời, đã xem thấy vinh quang của Thiên Chúa, và Ðức Giê-su đứng bên hữu Thiên Chúa. Ông đã nói rằng: “Kìa, tôi xem thấy trời mở ra, và Con Người đứng bên hữu Thiên Chúa”. Bấy giờ họ lớn tiếng kêu la và bịt tai lại, và họ nhất tề xông vào ông. Khi lôi ông ra ngoài thành, họ ném đá ông. Và các nhân chứng đã để áo của họ dưới chân một người thanh niên tên là Sao-lô. Rồi họ ném đá Tê-pha-nô, đang lúc ông cầu nguyện rằng: “Lạy Chúa Giê-su, xin đón nhận tâm hồn con”. Thế rồi ông quỳ xuống, lớn tiếng kêu lên rằng: “Lạy Chúa, xin đừng trách cứ họ về tội lỗi này”. Nói xong câu đó, ông đã an giấc trong Chúa. Còn Sao-lô thì đã tán thành việc giết ông (Tê-pha-nô).","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 3cd-4. 6ab và 7b và 8a. 17 và 21ab","response":"Ðáp: Lạy Chúa, con phó thác tâm hồn trong tay Chúa","verses":["Xướng: Xin Chúa trở thành núi đá cho con trú ẩn, thành chiến luỹ kiên cố để cứu độ con, bởi Chúa là Tảng đá, là chiến luỹ của con; vì uy danh Ngài, Ngài sẽ dìu dắt và hướng dẫn con.","Xướng: Con phó thác tâm hồn trong tay Chúa, lạy Chúa, lạy Thiên Chúa trung thành, xin cứu chữa con. Còn phần con, con tin cậy ở Chúa, con sẽ hân hoan mừng rỡ vì đức từ bi của Chúa. – Ðáp.","Xướng: Xin cho tôi tớ Chúa được thấy long nhan dịu hiền, xin cứu sống con theo lượng từ bi của Chúa. Chúa che chở họ dưới bóng long nhan Ngài, cho khỏi người ta âm mưu làm hại. – Ðáp."]},"alleluia":{"verse":"Ga 16, 7 và 13","content":"alleluia! – Chúa phán: “Thầy sẽ sai Thần Chân Lý đến cùng các con; Người sẽ dạy các con biết tất cả sự thật”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 30-35","info":"“Không phải Mô-sê, mà chính Cha Ta mới ban bánh bởi trời đích thực”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, đám đông thưa Chúa Giê-su: “Ngài sẽ làm dấu lạ gì để chúng tôi thấy mà tin Ngài? Ngài làm được việc gì? Cha ông chúng tôi đã ăn man-na trong sa mạc, như đã chép rằng: “Người đã ban cho họ ăn bánh bởi trời”. Chúa Giê-su đáp: “Thật Ta bảo thật các ngươi, không phải Mô-sê đã ban cho các ngươi bánh bởi trời, mà chính Cha Ta mới ban cho các ngươi bánh bởi trời đích thực. Vì bánh của Thiên Chúa phải là vật tự trời xuống, và ban sự sống cho thế gian”. Họ liền thưa với Ngài rằng: “Thưa Ngài, xin cho chúng tôi bánh đó luôn mãi”. Chúa Giê-su nói: “Chính Ta là bánh ban sự sống. Ai đến với Ta sẽ không hề đói; ai tin vào Ta sẽ không hề khát bao giờ”.","end":"Ðó là lời Chúa"}},
+        "4033": {"firstReading":{"excerpt":"Cv 8, 1-8","info":"“Ðến đâu, họ cũng rao giảng lời Thiên Chúa”.","title":"Trích sách Tông đồ Công vụ.","content":"Ngày ấy, Hội Thánh ở Giê-ru-sa-lem bị bách hại dữ tợn. Ngoài các tông đồ, mọi người đều phân tán đi các miền Giu-đê-a và Sa-ma-ri-a. Còn những người đạo đức lo chôn cất Tê-pha-nô; họ than khóc ông rất nhiều. Lúc đó Sao-lô tàn phá Hội Thánh; ông vào nhà này sang nhà nọ, bắt đàn ông lẫn đàn bà và tống ngục họ.\rNhững người bị phân tán, đã đi khắp nơi rao giảng lời Thiên Chúa. Phần Phi-líp-phê thì đi xuống một thành thuộc xứ Sa-ma-ri-a rao giảng Ðức Ki-tô cho họ. Dân chúng chú ý đến những lời Phi-líp-phê rao giảng, vì họ cùng nghe biết và xem thấy các phép lạ ngài làm, quỷ ô uế đã ám nhiều người trong họ, lúc đó kêu lớn tiếng và xuất ra. Nhiều người bất toại và què quặt được chữa lành. Bởi đó, cả thành được vui mừng khôn tả.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 65, 1-3a. 4-5. 6-7a","response":"Ðáp: Toàn thể đất nước, hãy reo mừng Thiên Chúa (c. 1).","verses":["Xướng: Toàn thể đất nước, hãy reo mừng Thiên Chúa, hãy ca ngợi vinh quang danh Ngài, hãy kính dâng Ngài lời khen ngợi hiển vinh. Hãy thưa cùng Thiên Chúa: kinh ngạc thay sự nghiệp Chúa.","Xướng: Hãy tới và nhìn coi sự nghiệp của Thiên Chúa, Ngài thi thố những chuyện kinh ngạc giữa con cái người ta!","Xướng: Người biến bể khơi thành nơi khô cạn, người ta đã đi bộ tiến qua sông, bởi đó ta hãy hân hoan trong Chúa. Với quyền năng, Ngài thống trị tới muôn đời."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta, Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 35-40","info":"“Ý muốn của Cha Ta là: hễ ai thấy Con thì có sự sống đời đời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su phán với đám đông rằng: “Chính Ta là bánh ban sự sống. Ai đến với Ta, sẽ không hề đói; ai tin vào Ta, sẽ không hề khát bao giờ. Nhưng Ta đã bảo các ngươi rằng: Các ngươi đã thấy Ta, nhưng các ngươi không chịu tin. Những ai Cha đã ban cho Ta sẽ đến với Ta. Và ai đến với Ta, Ta sẽ không xua đuổi ra ngoài. Bởi vì Ta từ trời xuống không phải để làm theo ý Ta, nhưng để làm theo ý Ðấng đã sai Ta. Vậy ý của Cha, Ðấng đã sai Ta, là hễ sự gì Người đã ban cho Ta, Ta chẳng để mất, nhưng ngày sau hết, Ta sẽ cho nó sống lại. Quả vậy, ý của Cha Ta là hễ ai thấy Con và tin vào Người thì có sự sống đời đời”.","end":"Ðó là lời Chúa"}},
+        "4034": {"firstReading":{"excerpt":"Cv 8, 26-40","info":"“Nếu ông tin hết lòng, thì được chịu phép rửa”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, thiên thần Chúa nói cùng Phi-líp-phê rằng: “Hãy chỗi dậy, đi về mạn nam, theo con đường từ Giê-ru-sa-lem xuống Ga-xa. Ðường ấy vắng vẻ”. Người chỗi dậy ra đi. Và này có một người Ê-thi-ô-pi là thái giám quyền thế của nữ hoàng Canđa, xứ Ê-thi-ô-pi, và là tổng quản công khố của nữ hoàng, ông đến chầu lễ tại Giê-ru-sa-lem. Lúc trở về, ông ngồi trên xe, đọc sách Tiên tri I-sai-a. Thánh Thần bảo Phi-líp-phê: “Hãy tiến lên và theo cho kịp xe kia”. Phi-líp-phê chạy tới, nghe thấy ông ấy đọc sách Tiên tri I-sai-a, liền hỏi: “Ngài có hiểu được điều ngài đọc không?” Nhà quan trả lời: “Làm sao tôi hiểu được, nếu không ai chỉ giáo cho tôi”. Nhà quan liền mời Phi-líp-phê lên xe ngồi với mình. Ðoạn Thánh Kinh ông đang đọc như sau: “Như con chiên bị đem đi làm thịt, Người phải điệu đi; như con chiên trước người thợ xén lông không kêu một tiếng, Người chẳng mở miệng. Trong cảnh nhục nhã, Người bị lên án bất công. Còn ai kể lại dòng dõi của Người, vì mạng sống Người bị cất khỏi trần gian”. Viên thái giám lên tiếng hỏi Phi-líp-phê rằng: “Tôi xin hỏi ông: đấng tiên tri nói điều ấy về ai? Về chính mình hay về người nào khác?” Phi-líp-phê mở miệng rao giảng Tin Mừng Ðức Giê-su cho ông, bắt đầu từ đoạn Thánh Kinh đó. Ðang đi dọc đường, đến nơi có nước, vị thái giám liền nói: “Này nước đây, có gì ngăn trở tôi chịu phép rửa không?” Phi-líp-phê nói: “Nếu ông tin hết lòng thì được”. Nhà quan đáp lại: “Tôi tin Ðức Giê-su Ki-tô là Con Thiên Chúa”. Ông ra lệnh cho dừng xe lại, Phi-líp-phê và viên thái giám, cả hai đi xuống nước, và Phi-líp-phê làm phép rửa cho ông. Khi họ lên khỏi nước, Thánh Thần Chúa đem Phi-líp-phê đi mất và viên thái giám không còn thấy ngài nữa. Ông hân hoan tiếp tục hành trình. Còn Phi-líp-phê thì người ta gặp thấy tại A-zô, ngài rảo khắp mọi thành phố, rao giảng Tin Mừng cho đến thành Cê-sa-rê.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 65, 8-9. 16-17. 20","response":"Ðáp: Toàn thể đất nước, hãy reo mừng Thiên Chúa","verses":["Xướng: Hỡi chư dân, hãy chúc tụng Thiên Chúa chúng tôi, và loan truyền lời ca ngợi khen Ngài: là Ðấng đã ban cho linh hồn chúng tôi được sống, và không để chân chúng tôi xiêu té.","Xướng: Phàm ai tôn sợ Chúa, hãy đến, hãy nghe tôi kể lại, Chúa đã làm cho linh hồn tôi những điều trọng đại biết bao! Tôi đã mở miệng kêu lên chính Chúa, và lưỡi tôi đã ngợi khen Ngài.","Xướng: Chúc tụng Chúa là Ðấng không hắt hủi lời tôi nguyện, và không rút lại lòng nhân hậu đối với tôi."]},"alleluia":{"verse":"Ga 14, 18","content":"alleluia! – Chúa phán: “Thầy sẽ không bỏ các con mồ côi: Thầy sẽ đến với các con và lòng các con sẽ vui mừng”. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! – Chúa nói: “Tôi là bánh hằng sống từ trời xuống. Ai ăn bánh này sẽ được sống muôn đời” – – Alleluia."},"gospel":{"excerpt":"Ga 6, 44-51","info":"“Ta là bánh từ trời xuống”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su phán với dân chúng rằng: “Không ai đến được với Ta, nếu Cha, là Ðấng sai Ta, không lôi kéo kẻ ấy, và Ta, Ta sẽ cho họ sống lại trong ngày sau hết. Trong sách các tiên tri có chép rằng: “Mọi người sẽ được Thiên Chúa dạy bảo”. Ai nghe lời giáo hoá của Cha, thì đến với Ta. Không một ai đã xem thấy Cha, trừ Ðấng bởi Thiên Chúa mà ra, Ðấng ấy đã thấy Cha. Thật, Ta bảo thật các ngươi: Ai tin vào Ta thì có sự sống đời đời. Ta là bánh ban sự sống. Cha ông các ngươi đã ăn man-na trong sa mạc và đã chết. Ðây là bánh bởi trời xuống, để ai ăn bánh này thì khỏi chết. Ta là bánh hằng sống từ trời xuống. Ai ăn bánh này, sẽ sống đời đời. Và bánh Ta sẽ ban, chính là thịt Ta, để cho thế gian được sống”.","end":"Ðó là lời Chúa"}},
+        "4035": {"firstReading":{"excerpt":"Cv 9, 1-20","info":"“Người này là lợi khí Ta chọn, để mang danh Ta đến trước mặt các dân tộc”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Sao-lô còn mải say mê hăm dọa giết các môn đồ Chúa, ông đến thượng tế, xin chứng minh thư gởi đến hội đường ở Ða-mát, để nếu gặp ai theo đạo ấy bất luận nam nữ, ông trói đem về Giê-ru-sa-lem. Ðang khi đi đường lúc đến gần Ða-mát, bỗng nhiên một luồng ánh sáng từ trời chiếu xuống bao phủ lấy ông, ông ngã xuống đất và nghe tiếng phán rằng: “Sao-lô, Sao-lô, sao ngươi bắt bớ Ta?” Ông thưa: “Lạy Ngài, Ngài là ai?” Chúa đáp: “Ta là Giê-su mà ngươi đang bắt bớ; giơ chân đạp mũi nhọn thì khổ cho ngươi”. Sao-lô run sợ và kinh hoàng hỏi rằng: “Lạy Chúa, Chúa muốn con làm gì?” Chúa phán: “Hãy chỗi dậy, vào thành, và ở đó người ta sẽ nói cho ngươi phải làm gì”. Những kẻ đồng hành với ông đứng lại, hoảng hốt; họ nghe rõ tiếng mà không thấy ai. Sao-lô chỗi dậy khỏi đất, mắt ông vẫn mở, mà không trông thấy gì. Người ta cầm tay dẫn ông vào thành Ða-mát; ông ở lại đấy ba ngày mà không thấy, không ăn, cũng không uống.\rBấy giờ ở Ða-mát, có một môn đồ tên là Kha-na-ni-a; trong một thị kiến, Chúa gọi ông rằng: “Kha-na-ni-a”. Ông thưa: “Lạy Chúa, này con đây”. Chúa phán: “Hãy chỗi dậy và đến phố kia gọi là phố “Thẳng”, và tìm tại nhà Giu-đa một người tên là Sao-lô, quê ở Tarsê; ông ta đang cầu nguyện”. (Sao-lô cũng thấy một người tên Kha-na-ni-a bước vào, và đặt tay trên ông để ông được sáng mắt). Kha-na-ni-a thưa: “Lạy Chúa, con đã nghe nhiều người nói về người này rằng: ông đã gây nhiều tai ác cho các thánh của Chúa tại Giê-ru-sa-lem; tại đây, ông đã được các vị thượng tế cho phép bắt trói tất cả những ai kêu cầu danh Chúa”. Nhưng Chúa phán: “Cứ đi, vì người này là lợi khí Ta đã chọn, để mang danh Ta đến trước dân ngoại, vua quan và con cái Ít-ra-en. Ta sẽ tỏ cho nó biết phải chịu nhiều đau khổ vì danh Ta”. Kha-na-ni-a ra đi, bước vào nhà, và đặt tay trên Sao-lô mà nói: “Anh Sao-lô, Chúa Giê-su, Ðấng hiện ra với anh trên đường đi đến đây, sai tôi đến cùng anh, để anh được thấy và được tràn đầy Thánh Thần”. Tức thì có thứ gì như những cái vảy rơi khỏi mắt ông, và ông được sáng mắt; ông chỗi dậy chịu phép rửa, và sau khi ăn uống, ông được lại sức. Ông ở lại ít ngày cùng với các môn đồ thành Ða-mát. Và lập tức ông rao giảng trong các hội đường rằng: Ðức Giê-su là Con Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 116, 1. 2","response":"Ðáp: Hãy đi rao giảng Tin Mừng khắp thế gian (Mc 16, 15).","verses":["Xướng: Toàn thể chư dân, hãy khen ngợi Chúa! Hết thảy các nước, hãy chúc tụng Người.","Xướng: Vì tình thương Chúa dành cho chúng tôi thực là mãnh liệt, và lòng trung thành của Chúa tồn tại muôn đời."]},"alleluia":{"verse":"Ga 14, 16","content":"alleluia! – Thầy sẽ xin Chúa Cha, và Người sẽ ban cho các con một Ðấng Phù Trợ khác, để ở cùng các con luôn mãi. – Alleluia."},"gospel":{"excerpt":"Ga 6, 52-59","info":"“Thịt Ta thật là của ăn, Máu Ta thật là của uống”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, những người Do-thái tranh luận với nhau rằng: “Làm sao ông này có thể lấy thịt mình mà cho chúng ta ăn được?”\rBấy giờ Chúa Giê-su nói với họ: “Thật, Ta bảo thật các ngươi: Nếu các ngươi không ăn thịt Con Người và uống máu Ngài, các ngươi sẽ không có sự sống trong các ngươi. Ai ăn thịt Ta và uống máu Ta thì có sự sống đời đời, và Ta, Ta sẽ cho kẻ ấy sống lại ngày sau hết. Vì thịt Ta thật là của ăn, và máu Ta thật là của uống. Ai ăn thịt Ta và uống máu Ta, thì ở trong Ta, và Ta ở trong kẻ ấy. Cũng như Cha là Ðấng hằng sống đã sai Ta, nên Ta sống nhờ Cha, thì kẻ ăn Ta, chính người ấy cũng sẽ sống nhờ Ta. Ðây là bánh bởi trời xuống, không phải như cha ông các ngươi đã ăn man-na và đã chết. Ai ăn bánh này sẽ sống đời đời”.\rNgười giảng dạy những điều này tại Hội đường Ca-phác-na-um.","end":"Ðó là lời Chúa"}},
+        "4036": {"firstReading":{"excerpt":"Cv 9, 31-42","info":"“Hội thánh được tổ chức và đầy ơn an ủi của Thánh Thần”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Hội Thánh được bình an trong khắp miền Giu-đê-a, Ga-li-lê-a và Sa-ma-ri-a, sống trong sự kính sợ Chúa, được tổ chức và đầy ơn an ủi của Thánh Thần.\rPhê-rô đi khắp các miền, đến với các thánh đang ở Lốt. Ở đó ngài gặp một người tên là Ê-nê, bị bất toại đã liệt giường suốt tám năm. Phê-rô nói với anh ta: “Ê-nê, Chúa Giê-su Ki-tô chữa anh lành bệnh; hãy chỗi dậy và dẹp giường đi”. Lập tức anh ta đứng lên. Tất cả dân cư ở Ly-đa và Sa-ron thấy vậy, đều trở lại cùng Chúa.\rTại Gióp-pê, có một nữ môn đồ tên là Ta-bi-tha, nghĩa là Sơn Dương. Bà làm nhiều việc lành và hay bố thí. Xảy ra trong những ngày ấy bà lâm bệnh mà chết; người ta rửa xác bà, rồi đặt trên lầu. Vì Ly-đa ở gần Gióp-pê, các môn đồ nghe tin Phê-rô đang ở đó, liền sai hai người đến xin ngài rằng: “Xin ngài hãy mau đến với chúng tôi”. Phê-rô chỗi dậy đi với họ. Ðến nơi, người ta dẫn ngài lên lầu; tất cả các quả phụ bao quanh ngài, khóc nức nở, chỉ cho ngài xem các áo trong áo ngoài mà chị Sơn Dương may cho họ. Phê-rô bảo mọi người ra ngoài, rồi quỳ gối cầu nguyện, và quay mặt về phía thi thể mà nói: “Ta-bi-tha, hãy chỗi dậy”. Bà liền mở mắt, thấy Phê-rô và ngồi dậy. Phê-rô đưa tay đỡ bà đứng dậy, rồi gọi các thánh, và các quả phụ đến, và chỉ cho thấy bà đã sống lại. Cả thành Gióp-pê hay biết việc ấy, nên nhiều người tin vào Chúa. Phêrô lưu lại Gióp-pê nhiều ngày tại nhà Si-mon thợ thuộc da.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 14-15. 16-17","response":"Ðáp: Tôi lấy gì dâng lại cho Chúa, để đền đáp những điều Ngài ban tặng cho tôi?","verses":["Xướng: Tôi lấy gì dâng lại cho Chúa, để đền đáp những điều Ngài ban tặng cho tôi? Tôi sẽ lãnh chén cứu độ, và tôi sẽ kêu cầu danh Chúa.","Xướng: Tôi sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài. Trước mặt Chúa thật là quý hoá, cái chết của những bậc thánh nhân Ngài.","Xướng: Ôi lạy Chúa, con là tôi tớ Chúa, con là tôi tớ Ngài, con trai của nữ tỳ Ngài, Ngài đã bẻ gãy xiềng xích cho con. Con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ, và con sẽ kêu cầu danh Chúa."]},"alleluia":{"verse":"Mt 28, 19 và 20","content":"alleluia! – Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế. – Alleluia."},"gospel":{"excerpt":"Ga 6, 61-70","info":"“Chúng con sẽ đi đến với ai? Thầy mới có những lời ban sự sống”.","title":"Trích Phúc Âm theo Thánh Gio-an.","content":"Khi ấy, có nhiều môn đệ của Chúa Giê-su nói rằng: “Lời này chói tai quá! Ai nghe được!” Tự biết rằng các môn đệ đang lẩm bẩm về chuyện ấy, Chúa Giê-su nói với họ: “Ðiều đó làm các ngươi khó chịu ư? Vậy nếu các ngươi thấy Con Người lên nơi đã ở trước thì sao? Chính thần trí mới làm cho sống, chứ xác thịt nào có ích gì? Nhưng lời Ta nói với các ngươi là thần trí và là sự sống. Nhưng trong các ngươi có một số không tin”. Vì từ đầu Chúa Giê-su đã biết ai là những kẻ không tin, và kẻ nào sẽ nộp Người. Và Người nói: “Bởi đó, Ta bảo các ngươi rằng: Không ai có thể đến với Ta, nếu không được Cha Ta ban cho”. Từ bấy giờ có nhiều môn đệ rút lui không còn theo Người nữa. Chúa Giê-su liền nói với nhóm Mười Hai rằng: “Cả các con, các con có muốn bỏ đi không?” Si-mon Phê-rô thưa Người: “Lạy Thầy, chúng con sẽ đi theo ai? Thầy mới có những lời ban sự sống đời đời. Phần chúng con, chúng con tin và chúng con biết rằng: Thầy là Ðấng Ki-tô, Con Thiên Chúa”.","end":"Ðó là lời Chúa"}},
+        "4041": {"firstReading":{"excerpt":"Cv 11, 1-18","info":"“Thiên Chúa cũng ban cho dân ngoại ơn ăn năn sám hối để được sống”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, các tông đồ và anh em ở Giu-đê-a nghe tin rằng cả dân ngoại cũng đã đón nhận lời Thiên Chúa. Khi Phê-rô lên Giê-ru-sa-lem, các người đã chịu cắt bì trách móc người rằng: “Tại sao ngài vào nhà những kẻ không chịu cắt bì và ăn uống với họ?” Phê-rô trình bày cho họ sự việc từ đầu đến cuối theo thứ tự sau đây: “Tôi đang ở tại thành Gióp-pê, lúc cầu nguyện, trong một thị kiến, tôi thấy một vật gì giống chiếc khăn lớn túm bốn góc, từ trời thả xuống sát bên tôi. Tôi chăm chú nhìn và thấy những con vật bốn chân, những mãnh thú, rắn rết và chim trời. Tôi nghe tiếng phán bảo tôi: “Phê-rô, hãy chỗi dậy giết mà ăn”. Tôi thưa: “Lạy Chúa, không được, vì con không khi nào bỏ vào miệng con những đồ dơ nhớp hay bẩn thỉu”. Tiếng từ trời nói lần thứ hai: “Vật gì Thiên Chúa cho là sạch, ngươi đừng nói là dơ nhớp”. Ba lần xảy ra như thế, và mọi sự lại được kéo lên trời.\r“Và ngay lúc đó, ba người từ Xê-da-rê được sai đến nhà tôi ở. Thánh Thần truyền dạy tôi đừng ngần ngại đi với họ. Sáu anh em cùng đi với tôi, và chúng tôi vào nhà một người. Anh thuật lại cho chúng tôi biết: anh đã thấy thiên thần hiện ra thế nào; thiên thần đứng trong nhà anh và nói với anh rằng: “Hãy sai người đến Gióp-pê tìm Si-mon có tên là Phê-rô; người sẽ dạy ngươi những lời có sức làm cho ngươi và cả nhà ngươi được cứu độ”. Lúc tôi bắt đầu nói, Thánh Thần ngự xuống trên họ như ngự trên chúng ta lúc ban đầu. Bấy giờ tôi nhớ lại lời Chúa phán: “Gio-an đã rửa bằng nước, còn các con, các con sẽ được rửa bằng Thánh Thần”. Vậy, nếu Thiên Chúa ban cho họ cũng một ơn như đã ban cho chúng ta, là những kẻ tin vào Chúa Giêsu Kitô, thì tôi là ai mà có thể ngăn cản Thiên Chúa?”\rNghe những lời ấy, họ thinh lặng và ca tụng Thiên Chúa rằng: “Vậy ra Thiên Chúa cũng ban cho dân ngoại ơn ăn năn sám hối để được sống”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 41, 2. 3; 42, 3. 4","response":"Ðáp: Hồn con khát Chúa Trời, Chúa Trời hằng sống","verses":["Xướng: Như nai rừng khát mong nguồn nước, hồn con khát Chúa, Chúa Trời ôi.","Xướng: Hồn con khát Chúa Trời, Chúa Trời hằng sống; ngày nào con được tìm về ra mắt Chúa Trời!","Xướng: Xin chiếu giãi quang minh và chân thực của Chúa, để những điều đó hướng dẫn con, đưa con lên núi thánh và cung lâu của Ngài.","Xướng: Con sẽ tiến tới bàn thờ Thiên Chúa, đến cùng Thiên Chúa làm cho con được hoan hỉ mừng vui. Với cây cầm thụ, con sẽ ca ngợi Chúa, ôi Chúa là Thiên Chúa của con."]},"alleluia":{"verse":" ","content":"alleluia! – Chúng con biết rằng Ðức Ki-tô đã thật sự sống lại từ cõi chết: Lạy Vua chiến thắng, xin thương xót chúng con. – Alleluia."},"gospel":{"excerpt":"Ga 10, 1-10","info":"“Ta là cửa chuồng chiên”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su phán rằng: “Thật, Ta bảo thật cùng các ngươi, ai không qua cửa mà vào chuồng chiên, nhưng trèo vào lối khác, thì người ấy là kẻ trộm cướp. Còn ai qua cửa mà vào, thì là kẻ chăn chiên. Kẻ ấy sẽ được người giữ cửa mở cho, và chiên nghe theo tiếng kẻ ấy. Kẻ ấy sẽ gọi đích danh từng con chiên mình và dẫn ra. Khi đã lùa chiên mình ra ngoài, kẻ ấy đi trước, và chiên theo sau, vì chúng quen tiếng kẻ ấy. Chúng sẽ không theo người lạ, trái lại, còn trốn tránh, vì chúng không quen tiếng người lạ”.\rChúa Giê-su phán dụ ngôn này, nhưng họ không hiểu Người muốn nói gì. Bấy giờ Chúa Giê-su nói thêm: “Thật, Ta bảo thật các ngươi: Ta là cửa chuồng chiên. Tất cả những kẻ đã đến trước đều là trộm cướp, và chiên đã không nghe chúng. Ta là cửa, ai qua Ta mà vào, thì sẽ được cứu rỗi, người ấy sẽ ra vào và tìm thấy của nuôi thân. Kẻ trộm có đến thì chỉ đến để ăn trộm, để sát hại và phá huỷ. Còn Ta, Ta đến để cho chúng được sống và được sống dồi dào”.","end":"Ðó là lời Chúa"}},
+        "4042": {"firstReading":{"excerpt":"Cv 11, 19-26","info":"“Họ cũng rao giảng Chúa Giê-su cho người Hy-lạp”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, vì cơn bách hại xảy ra nhân dịp Têphanô bị giết, có nhiều người phải sống tản mác, họ đi đến Phênixê, Cyprô và Antiôkia, họ không rao giảng lời Chúa cho một ai ngoài những người Do-thái. Nhưng một ít người trong họ quê ở Cyprô và Xyrênê; khi đến Antiôkia, họ cũng rao giảng Chúa Giêsu cho người Hy-lạp nữa. Và tay Chúa ở với họ; nên có đông người tin trở về với Chúa. Tin đó thấu tai Hội Thánh Giêrusalem, nên người ta sai Barnaba đến Antiôkia. Khi đến nơi và thấy việc ơn Chúa thực hiện, ông vui mừng và khuyên bảo mọi người hãy vững lòng tin nơi Chúa; Barnaba vốn là người tốt lành, đầy Thánh Thần và lòng tin. Và có đoàn người đông đảo tin theo Chúa. Vậy Barnaba đi Tarxê tìm Saolô. Gặp được rồi, liền đưa Saolô về Antiôkia. Cả hai ở lại tại Hội Thánh đó trọn một năm, giảng dạy cho quần chúng đông đảo; chính tại Antiôkia mà các môn đồ lần đầu tiên nhận tên là Kitô hữu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 86, 1-3. 4-5. 6-7","response":"Ðáp: Hỡi muôn dân, hãy ngợi khen Chúa","verses":["Xướng: Chúa yêu cơ sở Ngài thiết lập trên núi thánh; Ngài yêu cửa nhà Sion hơn mọi cư xá nhà Giacóp. Hỡi thành trì của Thiên Chúa, thiên hạ đang nói những điều hiển hách về ngươi.","Xướng: Ta sẽ kể Rahab và Babel vào số người thờ phượng Ta, kìa Philitinh, Tyrô và dân Êthiôpi: những người này đã sinh ra tại đó. Và thiên hạ sẽ nói về Sion rằng: “Riêng từng người và hết mọi người đã sinh tại đó, chính Ðấng Tối Cao đã củng cố thành này”.","Xướng: Chúa sẽ ghi chép vào sổ sách của chư dân rằng: “Những người này đã sinh ra tại đó”. Và khi ca vũ, người ta sẽ ca rằng: “Mọi nguồn vui thú của tôi đều ở nơi ngươi”."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa Kitô, Ðấng tác tạo mọi loài, đã sống lại và đã xót thương nhân loại. – Alleluia."},"gospel":{"excerpt":"Ga 10, 22-30","info":"“Tôi và Cha Tôi là một”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, người ta mừng lễ Cung Hiến tại Giêrusalem. Bấy giờ là mùa đông. Chúa Giêsu đi bách bộ tại đền thờ, dưới cửa Salômôn. Người Do-thái vây quanh Người và nói: “Ông còn để chúng tôi thắc mắc cho đến bao giờ? Nếu ông là Ðức Kitô, thì xin ông nói rõ cho chúng tôi biết”. Chúa Giêsu đáp: “Tôi đã nói với các ông mà các ông không tin. Những việc Tôi làm nhân danh Cha Tôi, làm chứng về Tôi. Nhưng các ông không tin, vì các ông không thuộc về đàn chiên tôi. Chiên Tôi thì nghe tiếng Tôi, Tôi biết chúng và chúng theo Tôi. Tôi cho chúng được sống đời đời, chúng sẽ không bao giờ hư mất, và không ai có thể cướp được chúng khỏi tay Tôi. Ðiều mà Cha Tôi ban cho Tôi, thì cao trọng hơn tất cả, và không ai có thể cướp được khỏi tay Cha Tôi. Tôi và Cha Tôi là một”.","end":"Ðó là lời Chúa"}},
+        "4043": {"firstReading":{"excerpt":"Cv 12, 24 – 13, 5a","info":"“Hãy dành Saolô và Barnaba riêng cho Ta”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, lời Chúa được lan rộng và tiến triển. Nhưng Barnaba và Saolô, sau khi hoàn tất sứ mạng, đã rời Giêrusa-lem, đem theo Gioan cũng gọi là Marcô.\rBấy giờ trong Hội Thánh Antiôkia có những tiên tri và tiến sĩ, trong số đó có Barnaba, Simon cũng gọi là Nigê, Luxiô người thành Xyrênê, Manahê bạn của vua Hêrôđê lúc còn thơ ấu, và Saolô. Ðang khi các ông làm việc thờ phượng Chúa và ăn chay, thì Thánh Thần phán bảo các ông rằng: “Hãy để riêng Saolô và Barnaba cho Ta, để làm công việc mà Ta đã chỉ định”. Vậy sau khi ăn chay cầu nguyện, họ đặt tay trên hai ông và tiễn đưa hai ông lên đường.\rÐược Thánh Thần sai đi, hai ông xuống Xêlêucia, rồi từ đó vượt biển sang Cyprô. Khi đến Salamina, hai ông rao giảng lời Chúa trong các hội đường Do-thái.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 66, 2-3. 5. 6 và 8","response":"Ðáp: Chư dân, hãy ca tụng Ngài, thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài","verses":["Xướng: Xin Thiên Chúa xót thương và chúc phúc lành cho chúng con, xin chiếu giãi trên chúng con ánh sáng tôn nhan Chúa, để trên địa cầu người ta nhìn biết đường lối của Ngài, cho chư dân thiên hạ được biết rõ ơn Ngài cứu độ.","Xướng: Các dân tộc hãy vui mừng hoan hỉ, vì Ngài công bình cai trị chư dân, và Ngài cai quản các nước địa cầu.","Xướng: Chư dân, hãy ca tụng Ngài, thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài. Xin Thiên Chúa chúc phúc lành cho chúng con, và cho khắp cùng bờ cõi trái đất kính sợ Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa Kitô đã sống lại và chiếu soi chúng ta, là những kẻ Người đã cứu chuộc bằng máu của Người. – Alleluia."},"gospel":{"excerpt":"Ga 12, 44-50","info":"“Ta là sự sáng đã đến thế gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu lớn tiếng nói rằng: “Ai tin vào Ta thì không phải là tin vào Ta, nhưng là tin vào Ðấng đã sai Ta. Và ai thấy Ta là thấy Ðấng đã sai Ta. Ta là sự sáng đã đến thế gian, để bất cứ ai tin Ta, người ấy sẽ không ở trong sự tối tăm. Nếu ai nghe lời Ta mà không tuân giữ, thì không phải chính Ta xét xử người ấy, vì Ta đã đến không phải để xét xử thế gian, nhưng là để cứu độ thế gian. Ai khinh dể Ta, và không chấp nhận lời Ta, thì đã có người xét xử: lời Ta đã nói sẽ xét xử người ấy trong ngày sau hết. Bởi vì Ta đã không tự mình nói ra, nhưng Cha là Ðấng sai Ta, chính Người đã ra lệnh cho Ta phải nói gì và phải công bố gì. Và Ta biết rằng lệnh của Người là sự sống đời đời. Những điều Ta nói, thì Ta nói theo như Cha đã dạy”.","end":"Ðó là lời Chúa"}},
+        "4044": {"firstReading":{"excerpt":"Cv 13, 13-25","info":"“Bởi dòng dõi Ðavít, Thiên Chúa đã ban Ðức Giêsu làm Ðấng Cứu Ðộ”.","title":"Trích sách Tông đồ Công vụ.","content":"Rời Paphô, Phaolô và các bạn vượt biển đến Perghê xứ Pamphy-lia; còn Gioan từ biệt các ngài, và trở về Giêrusalem. Hai ngài sang qua Perghê và đến Antiôkia xứ Pisiđia; ngày Sabbat, các ngài vào ngồi trong hội đường. Sau khi đọc sách luật và các tiên tri, những thủ lãnh nhà hội đường sai người đến nói với các ngài rằng: “Hỡi anh em, nếu ai trong anh em có lời khuyên bảo dân chúng, xin hãy nói”.\rPhaolô đứng lên, giơ tay ra hiệu cho mọi người yên lặng và nói: “Hỡi người Israel và những kẻ kính sợ Thiên Chúa, hãy nghe đây. Thiên Chúa dân Israel đã chọn Tổ phụ chúng ta, Người đã thăng tiến dân Người khi họ còn cư ngụ trong nước Ai-cập và Người ra tay mạnh mẽ đưa cha ông chúng ta ra khỏi nước ấy. Trong thời gian bốn mươi năm, Người chịu đựng thói xấu họ trong hoang địa; và sau khi đã tiêu diệt bảy dân tộc trong đất Canaan, Người đã cho họ chiếm đất của các dân tộc ấy gần bốn trăm năm mươi năm; và sau đó, Người ban cho họ các thẩm phán cho đến tiên tri Samuel. Kế đó, họ xin một nhà vua và Thiên Chúa cho Saolê, con ông Cis, thuộc chi họ Bengiamin, cai trị họ bốn mươi năm. Sau khi loại bỏ Saolê, Chúa đã đặt Ðavít lên làm vua dân Người, để chứng nhận điều đó, chính Người đã phán: “Ta đã gặp được Ðavít con của Giêsê, người vừa ý Ta, người sẽ thi hành mọi ý muốn của Ta”.\r“Bởi dòng dõi Ðavít, theo lời hứa, Thiên Chúa ban cho Israel Ðức Giêsu làm Ðấng Cứu Ðộ, Ðấng mà Gioan đã báo trước khi người đến rao giảng phép rửa thống hối cho toàn dân Israel. Khi Gioan hoàn tất hành trình, ngài tuyên bố: “Tôi không phải là người mà anh em lầm tưởng; nhưng đây, Người sẽ đến sau tôi mà tôi không đáng cởi dây giày dưới chân Người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 2-3. 21- 22. 25 và 27","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời","verses":["Xướng: Con sẽ ca ngợi tình thương của Chúa tới muôn đời; qua mọi thế hệ, miệng con loan truyền lòng trung thành Chúa. Vì Ngài đã phán: “Tình thương của Ta đứng vững muôn đời”, trên cõi trời cao, Ngài thiết lập lòng trung tín.","Xướng: Ta đã gặp Ðavít là tôi tớ của Ta. Ta đã xức dầu thánh của Ta cho người, để tay Ta bang trợ người luôn mãi, và cánh tay Ta củng cố thân danh người. .","Xướng: Thành tín và ân sủng của Ta hằng ở với người, và nhân danh Ta, sức mạnh người tăng thêm mãi. Chính người sẽ thưa cùng Ta: “Chúa là Cha con, là Thiên Chúa và Tảng Ðá cứu độ của con”."]},"alleluia":{"verse":"Mt 28, 19 và 20","content":"alleluia! – Các con hãy đi giảng dạy muôn dân: Thầy ở cùng các con mọi ngày cho đến tận thế. – Alleluia."},"gospel":{"excerpt":"Ga 13, 16-20","info":"“Ai đón nhận kẻ Thầy sai, là đón nhận Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Sau khi đã rửa chân các môn đệ, Chúa Giêsu phán với các ông: “Thật, Thầy bảo thật các con: Tôi tớ không trọng hơn chủ, kẻ được sai không trọng hơn đấng đã sai mình. Nếu các con biết điều đó mà thực hành thì có phúc. Thầy không nói về tất cả các con, vì Thầy biết những kẻ Thầy đã chọn, nhưng lời Thánh Kinh sau đây phải được ứng nghiệm: Chính kẻ ăn bánh của Ta sẽ giơ gót lên đạp Ta. Thầy nói điều đó với các con ngay từ bây giờ, trước khi sự việc xảy đến, để một khi xảy đến, các con tin rằng: Thầy là ai. Thật, Thầy bảo thật các con: Ai đón nhận kẻ Thầy sai, là đón nhận Thầy, và ai đón nhận Thầy là đón nhận Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},
+        "4045": {"firstReading":{"excerpt":"Cv 13, 26-33","info":"“Thiên Chúa đã làm trọn lời hứa khi cho Ðức Giêsu sống lại”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, khi Phaolô đến Antiôkia thuộc xứ Pisiđia, ông lên tiếng trong hội đường rằng: “Thưa chư huynh, con cháu Abraham, và những người kính sợ Thiên Chúa ở giữa chư huynh, lời cứu độ đó đã được rao giảng cho chư huynh. Những người cư ngụ ở Giêrusalem và các thủ lãnh của họ đã không nhìn nhận Ðức Giêsu và các lời tiên tri mà họ đọc mỗi ngày Sabbat; thế mà họ đã làm ứng nghiệm lời tiên tri khi lên án Người. Và dầu không thấy nơi Người lý do nào đáng phải chết, họ cũng xin Philatô cho giết Người. Và khi đã hoàn tất mọi điều đã chép về Người, họ đã tháo Người xuống khỏi cây thập giá và mai táng Người trong mồ. Nhưng Thiên Chúa đã cho Người sống lại từ cõi chết vào ngày thứ ba. Và trong nhiều ngày, Người đã hiện ra với những kẻ đã cùng với Người từ Galilêa lên Giêrusalem. Bây giờ những kẻ đó là những chứng nhân của Người trước mặt dân chúng.\r“Phần chúng tôi, chúng tôi loan báo cho chư huynh hay rằng: lời hứa ban cho tổ phụ chúng ta, Thiên Chúa đã làm hoàn tất cho chúng ta là con cháu các ngài, khi làm cho Ðức Giêsu sống lại, như đã chép trong thánh vịnh thứ hai rằng: ‘Con là Con Cha, hôm nay Cha đã sinh ra Con’ “.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 2, 6-7. 8-9. 10-11","response":"Ðáp: Con là thái tử của Cha, hôm nay Cha đã sinh thành ra Con","verses":["Xướng: Chính Ta đã đặt vương nhi Ta trên Sion, núi thánh của Ta. Ta sẽ tuyên rao thánh chỉ của Chúa: Chúa đã phán bảo cùng Ta: “Con là thái tử của Cha, hôm nay Cha đã sinh thành ra Con”.","Xướng:Hãy xin Cha và Cha sẽ cho Con được chư dân làm phần sản nghiệp, và cùng kiệt cõi đất làm gia tài. Con sẽ cai trị chúng bằng cây gậy sắt, như bình thợ gốm, Con đem nghiền nát chúng ra.","Xướng: Giờ đây, hỡi các vua, hãy nên hiểu biết, quân vương mặt đất nên giác ngộ. Hãy kính sợ làm tôi Chúa và hân hoan mừng Người, hãy khiếp run tỏ bày sự vâng phục Chúa."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa Kitô đã sống lại ra khỏi mồ, Người đã chịu treo trên thập giá vì chúng ta. – Alleluia."},"gospel":{"excerpt":"Ga 14, 1-6","info":"“Thầy là đường, là sự thật và là sự sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Lòng các con đừng xao xuyến. Hãy tin vào Thiên Chúa và tin vào Thầy. Trong nhà Cha Thầy có nhiều chỗ ở, nếu không, Thầy đã nói với các con rồi; Thầy đi để dọn chỗ cho các con. Và khi Thầy đã ra đi và dọn chỗ các con rồi, Thầy sẽ trở lại đem các con đi với Thầy, để Thầy ở đâu thì các con cũng ở đó. Thầy đi đâu, các con đã biết đường rồi”. Ông Tôma thưa Người rằng: “Lạy Thầy, chúng con không biết Thầy đi đâu, làm sao chúng con biết đường đi?” Chúa Giêsu đáp: “Thầy là đường, là sự thật, và là sự sống. Không ai đến được với Cha mà không qua Thầy”.","end":"Ðó là lời Chúa"}},
+        "4046": {"firstReading":{"excerpt":"Cv 13, 44-52","info":"“Ðây chúng tôi quay về phía các dân ngoại”.","title":"Trích sách Tông đồ Công vụ.","content":"Ðến ngày Sabbat sau, hầu hết cả thành đều đến nghe lời Thiên Chúa. Các người Do-thái thấy đám đông dân chúng, thì đâm ghen tương, nói lộng ngôn, chống lại các điều Phaolô giảng dạy. Phaolô và Barnaba can đảm nói rằng: “Phải giảng lời Thiên Chúa cho các ngươi trước tiên, nhưng vì các ngươi từ chối lời Thiên Chúa và tự cho mình không xứng đáng sống đời đời, thì đây chúng tôi quay về phía các dân ngoại; vả lại Chúa đã truyền lệnh cho chúng tôi rằng: Ta đặt ngươi làm ánh sáng muôn dân, để ngươi nên ơn cứu độ cho đến tận cùng trái đất“. Nghe vậy, các dân ngoại hân hoan ca tụng lời Chúa; những ai được Chúa tiền định hưởng sự sống đời đời, thì tin theo, nên lời Chúa được rao giảng khắp cả vùng.\rNhững người Do-thái xúi giục các phụ nữ khá giả đã tòng giáo, các thân hào trong thành, bắt bớ Phaolô và Barnaba, rồi trục xuất hai ngài ra khỏi ranh giới xứ họ. Còn hai ngài, sau khi phủi bụi chân lại cho họ, hai ngài đi đến Icôniô. Còn các môn đồ thì đầy hân hoan và Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người. – Ðáp.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel. – Ðáp.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca. – Ðáp."]},"alleluia":{"verse":"Cl 3, 1","content":"alleluia! – Nếu anh em sống lại làm một với Ðức Kitô, thì anh em hãy tìm kiếm những sự cao siêu trên trời, nơi Ðức Kitô đang ngự bên hữu Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 14, 7-14","info":"“Ai thấy Thầy là xem thấy Cha”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu các con biết Thầy, thì cũng biết Cha Thầy. Ngay từ bây giờ, các con biết và đã xem thấy Người”.\rPhilipphê thưa: “Lạy Thầy, xin tỏ cho chúng con xem thấy Cha và như thế là đủ cho chúng con”. Chúa Giêsu nói cùng ông rằng: “Philipphê, Thầy ở với các con bấy lâu rồi, thế mà con chưa biết Thầy ư? Ai thấy Thầy là xem thấy Cha. Sao con lại nói: Xin tỏ cho chúng con xem thấy Cha? Con không tin rằng Thầy ở trong Cha và Cha ở trong Thầy ư? Những điều Thầy nói với các con, không phải tự mình mà nói, nhưng chính Cha ở trong Thầy, Ngài làm mọi việc. Các con hãy tin rằng Thầy ở trong Cha, và Cha ở trong Thầy. Ít ra các con hãy tin, vì các việc Thầy đã làm. Thật, Thầy bảo thật các con: Ai tin vào Thầy, người ấy sẽ làm được những việc Thầy đã làm; người ấy còn làm được những việc lớn lao hơn, vì Thầy về với Cha. Và điều gì các con nhân danh Thầy mà xin Cha, Thầy sẽ làm, để Cha được vinh hiển trong Con. Nếu điều gì các con nhân danh Thầy mà xin cùng Thầy, Thầy sẽ làm cho”.","end":"Ðó là lời Chúa"}},
+        "4051": {"firstReading":{"excerpt":"Cv 14, 5-17","info":"“Chúng tôi rao giảng cho các người bỏ các thần này mà trở về với Thiên Chúa hằng sống”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, tại Icônia có phong trào người dân ngoại và người Do-thái cùng các thủ lãnh của họ định ngược đãi và ném đá Phaolô và Barnaba. Biết thế, hai ngài trốn sang các thành thuộc Lycaonia là Lystra, Ðerbê và khắp vùng phụ cận, và rao giảng Tin Mừng ở đó.\rLúc ấy tại Lystra có người bại chân từ lòng mẹ, anh chỉ ngồi và không hề đi được. Anh nghe Phaolô giảng dạy. Phaolô chăm chú nhìn anh, thấy anh có lòng tin để được cứu chữa, nên nói lớn tiếng rằng: “Hãy chỗi dậy và đứng thẳng chân lên”. Anh liền nhảy lên và bước đi. Dân chúng thấy việc Phaolô làm, thì la to bằng tiếng Lycaonia rằng: “Các vị thần mặc lớp người phàm đã xuống với chúng ta”. Họ gọi Barnaba là thần Giupitê và Phaolô là thần Mercuriô, vì chính ngài giảng. Thầy sãi thần Giupitê ở ngoại thành, mang bò và vòng hoa đến trước cửa: ông toan hợp cùng dân tế thần.\rNghe tin ấy, các tông đồ Barnaba và Phaolô liền xé áo mình ra, xông vào đám dân chúng mà la lên rằng: “Hỡi các ngươi, các ngươi làm gì thế? Chúng tôi cũng là loài hay chết, là người như các ngươi, là những kẻ rao giảng cho các người bỏ các thần này mà trở về với Thiên Chúa hằng sống, Ðấng tạo thành trời đất, biển cả và mọi vật trong đó. Trong các thế hệ trước đây, Người đã để mặc cho mọi dân tộc đi theo đường lối riêng mình; dầu vậy, Người không hề để thiếu sót những dấu chứng về Người, Người ban phát muôn ơn lành, cho mưa từ trời xuống cho các ngươi và mùa màng hoa trái, cho các ngươi được no lòng phỉ dạ”. Dầu nói thế, các ngài cũng phải vất vả lắm mới ngăn cản được dân chúng khỏi tế các ngài.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 113B, 1-2. 3-4. 15-16","response":"Ðáp: Lạy Chúa, không phải cho chúng con, nhưng xin cho danh Ngài rạng sáng","verses":["Xướng: Không phải cho chúng con, lạy Chúa, không phải cho chúng con, nhưng xin cho danh Ngài rạng sáng, vì đức từ bi, vì lòng trung tín của Ngài. Tại sao Chúa để chư dân người ta nói: “Thiên Chúa của bọn này ở đâu?”","Xướng: Thiên Chúa chúng tôi ngự trên trời, phàm điều chi Ngài ưng ý, Ngài đã thực thi. Thần tượng của họ bằng bạc với vàng, đó là sự vật do tay loài người tác tạo.","Xướng: Anh em đã được Chúa ban phúc lành, Chúa là Ðấng đã tạo thành trời đất. Trời là trời của Chúa, còn đất thì Chúa đã tặng con cái loài người."]},"alleluia":{"verse":"Cl 3, 1","content":"alleluia! – Nếu anh em sống lại làm một với Ðức Kitô, thì anh em hãy tìm kiếm những sự cao siêu trên trời, nơi Ðức Kitô đang ngự bên hữu Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 14, 21-26","info":"“Ðấng Phù Trợ mà Cha sẽ sai đến, Người sẽ dạy các con mọi điều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ai nghe các giới răn Thầy truyền và tuân giữ, người ấy là kẻ yêu mến Thầy, và ai yêu mến Thầy, sẽ được Cha Thầy yêu mến, và Thầy cũng yêu mến và tỏ mình ra cho người ấy”.\rÔng Giuđa, không phải Giuđa Iscariô, thưa Người rằng: “Lạy Thầy, tại sao Thầy sẽ tỏ mình ra cho chúng con, mà không tỏ cho thế gian?” Chúa Giêsu trả lời: “Ai yêu mến Thầy, sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. Kẻ không yêu mến Thầy, thì không giữ lời Thầy. Lời mà các con nghe, không phải là của Thầy, nhưng là của Cha, Ðấng đã sai Thầy. Thầy đã nói với các con những điều này khi còn ở với các con. Nhưng Ðấng Phù Trợ, là Thánh Thần, mà Cha sẽ sai đến nhân danh Thầy, chính Người sẽ dạy các con mọi điều và sẽ nhắc nhở cho các con tất cả những gì Thầy đã nói với các con”.","end":"Ðó là lời Chúa"}},
+        "4052": {"firstReading":{"excerpt":"Cv 14, 18-27","info":"“Các ngài thuật cho giáo đoàn nghe những gì Thiên Chúa đã làm với các ngài”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, có mấy người Do-thái từ Antiôkia và Icôniô đến xúi giục dân chúng. Họ ném đá Phaolô, và tưởng rằng Phaolô đã chết, nên kéo ngài ra bỏ ngoài thành. Nhưng đang khi các môn đồ đứng xung quanh ngài, ngài liền chỗi dậy đi vào thành, và hôm sau, ngài cùng Barnaba đi sang Ðerbê. Khi đã rao giảng Tin Mừng cho thành này và dạy dỗ được nhiều người, các ngài trở lại Lystra, Icôniô và Antiôkia, củng cố tinh thần các môn đồ, khuyên bảo họ giữ vững đức tin mà rằng: “Chúng ta phải trải qua nhiều nỗi gian truân mới được vào nước Thiên Chúa”. Nơi mỗi hội thánh, các ngài đặt những vị niên trưởng, rồi ăn chay cầu nguyện, trao phó họ cho Chúa là Ðấng họ tin theo.\rSau đó, các ngài sang Pisiđia, đi đến Pamphylia. Sau khi rao giảng lời Chúa tại Perghê, các ngài xuống Attilia, rồi từ đó xuống tàu trở về Antiôkia, nơi mà trước đây các ngài đã được trao phó cho ơn Chúa để làm công việc các ngài mới hoàn thành. Khi đến nơi, các ngài tụ họp giáo đoàn, thuật cho họ nghe những gì Thiên Chúa đã làm với các ngài và đã mở lòng cho nhiều dân ngoại nhận biết đức tin. Các ngài còn ở lại đó với môn đồ trong một thời gian lâu dài.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 21","response":"Ðáp: Lạy Chúa, các bạn hữu Chúa nhận biết vinh quang nước Chúa","verses":["Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài","Xướng: Ðể con cái loài người nhận biết quyền năng và vinh quang cao cả nước Chúa. Nước Ngài là nước vĩnh cửu muôn đời, chủ quyền Ngài tồn tại qua muôn thế hệ.","Xướng:  Miệng tôi hãy xướng lời ca ngợi khen Chúa, mọi loài huyết nhục hãy chúc tụng danh Chúa tới muôn đời."]},"alleluia":{"verse":"Ga 16, 28","content":"alleluia! – Thầy bởi Cha mà ra, và đã đến trong thế gian, bây giờ Thầy lại bỏ thế gian mà về cùng Cha. – Alleluia."},"gospel":{"excerpt":"Ga 14, 27-31a","info":"“Thầy ban bình an của Thầy cho các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy để lại bình an cho các con, Thầy ban bình an của Thầy cho các con. Thầy ban cho các con không như thế gian ban tặng. Lòng các con đừng xao xuyến và đừng sợ hãi. Các con đã nghe Thầy nói với các con rằng: Thầy đi, rồi Thầy sẽ trở lại với các con. Nếu các con yêu mến Thầy, thì các con hãy vui mừng vì Thầy về với Cha, bởi lẽ Cha trọng hơn Thầy. Giờ đây Thầy nói với các con trước khi việc xảy ra, để khi việc xảy ra, thì các con tin. Thầy không còn nói nhiều với các con nữa, vì thủ lãnh thế gian đã đến. Nó không có quyền lực gì đối với Thầy. Nhưng để cho thế gian biết rằng Thầy yêu mến Cha, thì Thầy làm như Cha đã truyền dạy”.","end":"Ðó là lời Chúa"}},
+        "4053": {"firstReading":{"excerpt":"Cv 15, 1-6","info":"“Người ta quyết định là các ngài lên Giêrusalem xin các Tông đồ và niên trưởng giải quyết vấn đề này”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, có mấy người từ Giuđê đến dạy bảo các anh em rằng: “Nếu anh em không chịu cắt bì theo luật Môsê, thì không được cứu độ”. Do đó, Phaolô và Barnaba đã tranh luận gắt gao với họ. Bấy giờ người ta quyết định là Phaolô và Barnaba và một ít người khác thuộc phe họ lên Giêrusalem gặp các Tông đồ và niên trưởng để xin giải quyết vấn đề này.\rCác ngài được giáo đoàn tiễn đưa, và khi đi ngang qua Phênixê và Samaria, các ngài kể lại việc dân ngoại trở lại khiến mọi anh em đầy hân hoan. Khi đến Giêrusalem, các ngài được giáo đoàn, các Tông đồ và kỳ lão đón tiếp, rồi các ngài kể lại bao nhiêu việc Thiên Chúa đã thực hiện với các ngài. Nhưng có mấy người tín hữu thuộc nhóm biệt phái đứng lên nói rằng: “Phải cắt bì cho những người dân ngoại và bắt họ cũng phải giữ luật Môsê”. Các Tông đồ và các kỳ lão họp lại cứu xét việc này.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”. Hỡi Giêrusalem, chân chúng tôi đang đứng nơi cửa thành rồi.","Xướng: Giêrusalem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc, các bộ lạc của Chúa tiến lên.","Xướng: Theo luật pháp của Israel, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ðavít."]},"alleluia":{"verse":"Ga 16, 28","content":"alleluia! – Thầy bởi Cha mà ra, và đã đến trong thế gian; bây giờ Thầy lại bỏ thế gian mà về cùng Cha. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! –  Chúa nói: Hãy ở lại trong Thầy, như Thầy ở lại trong anh em. Ai ở lại trong Thầy, thì sinh nhiều hoa trái. Alleluia."},"gospel":{"excerpt":"Ga 15, 1-8","info":"“Ai ở trong Thầy, và Thầy ở trong người ấy, kẻ ấy sẽ sinh nhiều trái”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy là cây nho thật, và Cha Thầy là người trồng nho. Nhành nào trong Thầy không sinh trái thì Người chặt đi, còn nhành nào sinh trái thì Người tỉa sạch để nó sai trái hơn. Các con đã được tỉa sạch nhờ lời Thầy đã nói với các con. Các con ở trong Thầy, và Thầy ở trong các con. Cũng như nhành nho tự nó không thể sinh trái được, nếu không dính liền với cây nho; các con cũng vậy, nếu không ở trong Thầy.\r“Thầy là cây nho, các con là nhành. Ai ở trong Thầy và Thầy ở trong người ấy, kẻ ấy sẽ sinh nhiều trái, vì không có Thầy, các con không thể làm được gì. Ai không ở trong Thầy, thì bị vứt ra ngoài như nhành nho, và sẽ khô héo, người ta sẽ thu lại, quăng vào lửa cho nó cháy đi.\r“Nếu các con ở trong Thầy, và lời Thầy ở trong các con, thì các con muốn gì, cứ xin, và sẽ được. Ðây là điều làm Cha Thầy được vinh hiển là các con sinh nhiều trái, và như thế các con trở nên môn đệ của Thầy”.","end":"Ðó là lời Chúa"}},
+        "4054": {"firstReading":{"excerpt":"Cv 15, 7-21","info":"“Tôi xét là không nên làm khó dễ các người dân ngoại trở về với Thiên Chúa”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, khi đã cứu xét kỹ càng, Phêrô đứng lên nói: “Hỡi anh em, anh em biết rằng từ những ngày đầu, Thiên Chúa đã chọn tôi để dân ngoại được nghe lời Phúc Âm do miệng tôi và tin. Thiên Chúa đã thấu biết các tâm hồn và đã minh chứng bằng cách ban Thánh Thần cho họ, như đã ban cho chúng ta; Người không phân biệt chúng ta với họ, vì dùng đức tin thanh tẩy tâm hồn họ. Vậy giờ đây sao anh em thách thức Thiên Chúa khi anh em đặt lên cổ các môn đồ cái ách mà cả tổ phụ chúng ta lẫn chúng ta không sao mang nổi? Nhưng chúng ta tin rằng nhờ ơn của Chúa Giêsu Kitô mà chúng ta được cứu độ cùng một thể thức như họ”. Tất cả đám đông đều im lặng, rồi họ nghe Barnaba và Phaolô kể lại bao nhiêu phép lạ, và việc kỳ diệu Thiên Chúa đã nhờ các ngài mà thực hiện giữa các dân ngoại.\rKhi hai ngài dứt lời, Giacôbê lên tiếng nói rằng: “Hỡi anh em, hãy nghe tôi. Simon đã thuật lại cách thức Thiên Chúa trước tiên đã thương chọn cho danh Người một dân giữa chư dân. Lời các tiên tri cũng phù hợp như vậy, như đã chép rằng: “Sau đó Ta sẽ trở lại và tái thiết lều của Ðavít đã sụp đổ. Ta sẽ tu bổ những chỗ hư hại và sẽ dựng nó lên, để các kẻ còn lại và tất cả dân ngoại kêu cầu danh Ta, sẽ tìm kiếm Chúa. Chúa phán và thực hành các việc đó. Từ đời đời Chúa biết các việc Chúa làm”. Vì vậy, tôi xét là không nên làm khó dễ các người dân ngoại trở về với Thiên Chúa, nhưng truyền cho họ kiêng những ô uế của tượng thần, đừng gian dâm, và kiêng thịt các con vật chết ngạt và kiêng máu. Vì chưng từ thời xưa người ta đã rao giảng Môsê trong mỗi thành, họ đọc sách của người mọi ngày Sabbat trong các hội đường”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 10","response":"Ðáp: Hãy tường thuật phép lạ Chúa giữa chư dân","verses":["Xướng: Hãy ca mừng Chúa bài ca mới, hãy ca mừng Chúa đi, toàn thể địa cầu! Hãy ca mừng Chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa chư dân và phép lạ Người ở nơi vạn quốc.","Xướng:  Người giữ vững địa cầu cho nó khỏi lung lay; Người cai quản chư dân theo đường đoan chính."]},"alleluia":{"verse":"Ga 16, 17 và 13","content":"alleluia! – Chúa phán: “Thầy sẽ sai Thần Chân Lý đến, Người sẽ dạy các con biết tất cả sự thật”. – Alleluia."},"gospel":{"excerpt":"Ga 15, 9-11","info":"“Các con hãy ở trong tình yêu của Thầy, để niềm vui của các con được trọn vẹn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như Cha đã yêu mến Thầy, Thầy cũng yêu mến các con. Hãy ở lại trong tình yêu của Thầy. Nếu các con tuân giữ lệnh Thầy truyền, các con sẽ ở trong tình yêu của Thầy, cũng như Thầy đã giữ lệnh truyền của Cha Thầy, nên Thầy ở lại trong tình yêu của Người. Thầy nói với các con điều đó, để niềm vui của Thầy ở trong các con, và niềm vui của các con được trọn vẹn”.","end":"Ðó là lời Chúa"}},
+        "4055": {"firstReading":{"excerpt":"Cv 15, 22-31","info":"“Thánh Thần và chúng tôi xét rằng không nên buộc thêm cho anh em gánh nặng nào khác”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, các Tông đồ, kỳ lão cùng toàn thể Hội Thánh, chấp thuận chọn ít người trong các ngài, và sai đi Antiôkia với Phaolô và Barnaba: đó là Giuđa, gọi là Barsaba, và Sila, những vị có uy thế giữa anh em. Các ngài nhờ tay hai ông chuyển bức thư viết như sau: “Anh em Tông đồ và kỳ lão chúng tôi kính chào các anh em thuộc dân ngoại ở Antiôkia, Syria và Cilicia. Chúng tôi nghe tin rằng có mấy người trong chúng tôi đã đến nói những lời gây hoang mang và làm cho tâm hồn anh em xao xuyến, chúng tôi không uỷ quyền cho họ, vì thế chúng tôi họp lại, đồng ý chọn một ít người và sai đến anh em làm một với Barnaba và Phaolô, những anh em yêu quý của chúng tôi, tức là những người đã liều mạng sống mình vì danh Ðức Giêsu, Chúa chúng tôi. Vậy chúng tôi đã sai Giuđa và Sila đến nói miệng với anh em cũng chính những lời này: Thánh Thần và chúng tôi xét rằng không nên đặt thêm cho anh em gánh nặng nào khác ngoài mấy điều cần kíp này là anh em hãy kiêng đồ cúng thần, huyết, thịt thú chết ngạt và gian dâm; giữ mình khỏi các điều đó, là anh em làm phải. Chúc anh em vạn an”.\rCác ngài giã từ và đi xuống Antiôkia, triệu tập dân chúng lại và trao cho họ bức thư. Ðọc thư xong, họ vui mừng vì được an ủi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 56, 8-9. 10-12","response":"Ðáp: Lạy Chúa, con sẽ ngợi khen Chúa giữa chư dân","verses":["Xướng: Lòng con bền vững, lạy Chúa, lòng con bền vững; con sẽ hát xướng, con sẽ đàn ca. Hãy thức dậy, linh hồn tôi ơi, hãy thức dậy, hỡi đàn sắt với đàn cầm, tôi sẽ làm cho bình minh thức giấc.","Xướng: Lạy Chúa, con sẽ ngợi khen Chúa giữa chư dân; con sẽ hát mừng Ngài trong các nước: vì đức từ bi Chúa cao tới cõi trời, và lòng trung tín Ngài chạm ngàn mây. Lạy Chúa, xin Ngài hiện ra cao cả trên trời, xin tỏ vinh quang Ngài trên toàn cõi đất!"]},"alleluia":{"verse":"Mt 28, 19 và 20","content":"alleluia! – Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế. – Alleluia."},"gospel":{"excerpt":"Ga 15, 12-17","info":"“Ðây là lệnh truyền của Thầy: Các con hãy yêu mến nhau”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ðây là lệnh truyền của Thầy: Các con hãy yêu mến nhau, như Thầy đã yêu mến các con. Không có tình yêu nào lớn hơn tình yêu của người thí mạng vì bạn hữu mình. Các con là bạn hữu của Thầy, nếu các con thi hành những điều Thầy truyền. Thầy không còn gọi các con là tôi tớ, vì tôi tớ không biết việc chủ làm; Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết. Không phải các con đã chọn Thầy, nhưng chính Thầy đã chọn các con, và đã cắt đặt, để các con đi, và mang lại hoa trái, và để hoa trái các con tồn tại, để những gì các con xin Cha nhân danh Thầy, Người sẽ ban cho các con. Thầy truyền cho các con điều này là: các con hãy yêu mến nhau”.","end":"Ðó là lời Chúa"}},
+        "4056": {"firstReading":{"excerpt":"Cv 16, 1-10","info":"“Xin đi sang Macêđonia mà cứu giúp chúng tôi”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phaolô đến Ðerbê và Lystra. Ở đó có một môn đồ tên là Timôthêô, con của một bà Do-thái đã tin đạo, còn cha là người dân ngoại. Các anh em ở Lystra và Icôniô chứng nhận anh là người tốt. Phaolô muốn anh đi theo mình, vì nể người Do-thái ở trong vùng ấy, nên Phaolô đã đem anh đi cắt bì, vì mọi người biết cha anh là người dân ngoại. Khi hai ngài đi ngang qua các thành phố, hai ngài truyền lại cho họ tuân giữ những giáo lý do các tông đồ và kỳ lão tại Giêrusalem đã quyết định. Nhờ vậy, các giáo đoàn được vững mạnh trong đức tin và mỗi ngày càng tăng thêm đông số.\rCác ngài đi qua Phrygia và vùng Galatia, vì Thánh Thần ngăn cản không cho rao giảng lời Chúa tại Tiểu Á. Khi đến Mysia, các ngài tìm cách đi Bithynia; nhưng Thánh Thần của Chúa Giêsu không cho phép. Vậy các ngài đi sang Mysia, xuống Trôa, và ban đêm Phaolô được thị kiến thấy một người Macêđô đứng đó và van xin ngài rằng: “Xin đi sang Macêđônia mà cứu giúp chúng tôi”.\rVừa thấy vậy, chúng tôi liền tìm cách đi sang Macêđônia, tin chắc rằng Thiên Chúa đã kêu gọi chúng tôi rao giảng Tin Mừng cho họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 5","response":"Ðáp: Toàn thể địa cầu, hãy reo mừng Chúa!","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Chúa! Hãy phụng sự Chúa với niềm vui vẻ; hãy vào trước thiên nhan với lòng hân hoan khoái trá.","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín còn tới muôn muôn thế hệ."]},"alleluia":{"verse":"Ga 14, 16","content":"alleluia! – Thầy sẽ xin Chúa Cha và Người sẽ ban cho các con một Ðấng Phù Trợ khác, để ở cùng các con luôn mãi. – Alleluia."},"gospel":{"excerpt":"Ga 15, 18-21","info":"“Các con không thuộc về thế gian, vì chính Thầy đã chọn các con khỏi thế gian“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu thế gian ghét các con, các con hãy biết rằng họ đã ghét Thầy trước. Nếu các con thuộc về thế gian, thế gian sẽ yêu những gì thuộc về nó, nhưng các con không thuộc về thế gian, vì chính Thầy đã chọn các con khỏi thế gian, nên thế gian ghét các con. Các con hãy nhớ lại lời Thầy đã nói với các con: Tôi tớ không trọng hơn chủ. Nếu họ đã bắt Thầy, thì họ cũng sẽ bắt bớ các con; nếu họ tuân giữ lời Thầy, thì họ cũng tuân giữ lời các con. Tại vì danh Thầy mà họ sẽ làm cho các con tất cả những điều đó, bởi vì họ không biết Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},
+        "4061": {"firstReading":{"excerpt":"Cv 16, 11-15","info":"“Chúa đã mở lòng cho bà chú ý nghe những lời Phaolô giảng dạy”.","title":"Trích sách Tông đồ Công vụ.","content":"Chúng tôi xuống tàu tại Trôa và đi thẳng đến Samôthra, và hôm sau đến Nêapôli; rồi từ đó đi Philippê là thành thứ nhất vùng Macêđônia, và là xứ thuộc địa. Chúng tôi lưu lại thành này một ít ngày. Ðến ngày Sabbat, chúng tôi đi ra ngoài cửa thành đến bờ sông, chỗ người ta thường hợp nhau đọc kinh. Chúng tôi ngồi xuống giảng cho những phụ nữ đang tề tựu ở đó. Bấy giờ có một bà tên là Lyđia, buôn vải gấm, quê ở Thyatira, có lòng thờ Chúa, cũng ngồi nghe; Chúa đã mở lòng cho bà chú ý nghe các điều Phaolô giảng dạy. Sau khi chịu phép rửa tội làm một với gia đình, bà nài xin rằng: “Nếu các ngài xét thấy tôi đã nên tín đồ của Chúa, thì xin đến ngụ tại nhà tôi”. Bà nài ép chúng tôi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5 và 6a và 9b","response":"Ðáp: Chúa yêu thương dân Người","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy vang lên lời khen ngợi trong công hội các tín đồ. Israel hãy mừng vui vì Ðấng tạo tác bản thân, con cái Sion hãy hân hoan vì vua của họ.","Xướng: Họ hãy hoà nhạc để ngợi khen Người, hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Họ hãy hoà nhạc để ngợi khen Người, hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang, hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa."]},"alleluia":{"verse":"Ga 14, 13","content":"alleluia! – Chúa phán: “Thầy sẽ không bỏ các con mồ côi: Thầy sẽ đến với các con và lòng các con sẽ vui mừng”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Chúa nói: Thần Khí sự thật sẽ làm chứng về Thầy. Cả anh em nữa, anh em cũng làm chứng về Thầy. Alleluia."},"gospel":{"excerpt":"Ga 15, 26-16. 4","info":"“Thần Chân lý sẽ làm chứng về Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Khi Ðấng Phù Trợ đến, Ðấng Thầy sẽ từ nơi Cha Thầy sai đến với các con, Người là Thần Chân lý bởi Cha mà ra, Người sẽ làm chứng về Thầy. Và các con cũng sẽ làm chứng, vì các con đã ở với Thầy từ ban đầu. Thầy đã nói với các con điều đó để các con khỏi vấp ngã. Người ta sẽ loại các con ra khỏi hội đường. Ðã đến giờ kẻ giết các con tưởng làm thế là phụng sự Thiên Chúa. Họ sẽ làm những điều đó cho các con, vì họ không biết Cha, cũng không biết Thầy. Nhưng Thầy đã nói với các con như vậy, để khi đến giờ của họ, các con nhớ lại là Thầy đã bảo các con”.","end":"Ðó là lời Chúa"}},
+        "4062": {"firstReading":{"excerpt":"Cv 16, 22-34","info":"“Anh hãy tin vào Chúa Giêsu, thì anh và cả nhà anh sẽ được cứu thoát”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, dân thành Philipphê xúm lại chống đối Phaolô và Sila; các nhà chức trách cho người xé áo choàng các ngài, và ra lệnh đánh đòn. Khi đã đánh các ngài nhừ tử, họ cho tống ngục, và truyền cho viên canh ngục canh giữ cẩn thận. Ðược lệnh như thế, viên cai ngục giam các ngài vào ngục sâu nhất, và còng chân các ngài lại.\rÐến nửa đêm, Phaolô và Sila cầu nguyện ca tụng Thiên Chúa; các tù nhân đều lắng nghe các ngài. Bỗng xảy ra một cuộc động đất lớn, làm rung chuyển cả nền móng ngục thất. Tức khắc mọi cửa đều mở tung, và xiềng xích mọi tù nhân đều rơi xuống. Viên cai ngục giật mình thức dậy, thấy các cửa ngục mở tung, thì rút gươm toan tự vẫn, vì tưởng những người bị xiềng đã tẩu thoát. Nhưng Phaolô kêu lớn tiếng rằng: “Anh chớ hại mình, vì chúng tôi còn tất cả ở đây”. Viên cai ngục gọi lấy đèn, rồi chạy vào tù, và run rẩy sấp mình dưới chân Phaolô và Sila; đoạn dẫn hai ngài ra ngoài và nói: “Thưa các ngài, tôi phải làm gì để được cứu thoát?” Hai ngài đáp: “Hãy tin vào Chúa Giêsu, thì anh và cả nhà anh sẽ được cứu độ”.\rHai ngài giảng dạy lời Chúa cho anh và mọi người trong nhà. Ngay lúc đó, giữa ban đêm, viên cai ngục đem hai ngài đi, rửa vết thương, và lập tức anh ta được chịu phép rửa cùng với tất cả người nhà. Rồi anh đưa hai ngài lên nhà, dọn bàn ăn. Anh và cả nhà vui mừng vì đã tin Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 7c-8","response":"Ðáp: Lạy Chúa, tay hữu Chúa khiến con được sống an lành","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, vì Chúa đã nghe lời miệng con xin; trước mặt các thiên thần, con đàn ca mừng Chúa, con sấp mình thờ lạy bên thánh điện Ngài.","Xướng: Và con sẽ ca tụng uy danh Chúa, vì lòng nhân hậu và trung thành của Chúa. Khi con kêu cầu, Chúa đã nhậm lời con, Chúa đã ban cho tâm hồn con nhiều sức mạnh.","Xướng: Tay hữu Chúa khiến con được sống an lành. Chúa sẽ hoàn tất cho con những điều đã khởi sự, lạy Chúa, lòng nhân hậu Chúa tồn tại muôn đời, xin đừng bỏ rơi công cuộc tay Ngài."]},"alleluia":{"verse":"Ga 14, 26","content":"alleluia! – Thánh Thần sẽ dạy các con mọi điều; và sẽ nhắc nhở cho các con tất cả những gì Thầy đã nói với các con. – Alleluia."},"gospel":{"excerpt":"Ga 16, 5b-11","info":"“Nếu Thầy không đi, thì Ðấng Phù Trợ sẽ không đến với các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Bây giờ Thầy về với Ðấng đã sai Thầy, mà các con không ai hỏi Thầy: Thầy đi đâu? Nhưng vì Thầy đã nói với các con điều đó, nên lòng các con tràn ngập u sầu. Dầu vậy Thầy phải nói sự thật cho các con: Thầy đi thì ích lợi cho các con, vì nếu Thầy không đi, thì Ðấng Phù Trợ sẽ không đến với các con, nhưng nếu Thầy ra đi, Thầy sẽ sai Người đến với các con. Khi Người đến,Người sẽ tố cáo thế gian về tội lỗi, về sự công chính và về án phạt. Về tội lỗi vì họ đã không tin vào Thầy. Về sự công chính, vì Thầy về cùng Cha, và các con sẽ không còn thấy Thầy. Về án phạt, vì thủ lãnh thế gian này đã bị xét xử”.","end":"Ðó là lời Chúa"}},
+        "4063": {"firstReading":{"excerpt":"Cv 17, 15. 22 – 18,1","info":"“Ðấng quý vị thờ mà không nhận biết, thì tôi xin loan báo Người cho quý vị”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, những người tháp tùng Phaolô, dẫn đưa ngài cho đến Athêna; và khi đã nhận lệnh ngài truyền cho Sila và Timôthêu đến gặp ngài lập tức, họ liền ra đi.\rBấy giờ Phaolô đứng giữa đồi Arêôpagô mà nói: “Kính thưa quý vị người Athêna, tôi nhận thấy quý vị rất sùng tín về mọi mặt. Vì khi đi ngang qua, nhìn các tượng thần của quý vị, tôi cũng thấy một bàn thờ có ghi chữ: “Kính Thần vô danh”. Vậy Ðấng quý vị thờ mà không nhận biết, thì tôi xin loan báo Người cho quý vị. Thiên Chúa, Ðấng đã tác tạo vũ trụ và vạn vật trong vũ trụ, Người là Chúa trời đất, nên không ngự nơi đền thờ do tay người phàm làm ra. Người cũng không cần bàn tay người phàm phụng sự như thể thiếu thốn điều gì, vì chính Người ban cho mọi người sự sống, hơi thở và hết mọi sự. Người đã làm cho toàn thể loài người từ một nguyên tổ lan tràn khắp mặt đất. Người phân định thời hạn rõ rệt và biên giới chỗ họ ở, để họ tìm thấy Thiên Chúa nếu họ cố gắng dò dẫm tìm gặp Người, vì thật ra Người không ở xa mỗi người chúng ta. Vì chưng ta sống, ta cử động và ta hiện hữu trong Người, như có mấy thi sĩ của quý vị đã nói: “Chúng ta thuộc tông giống Người”. Vậy bởi chúng ta là dòng giống của Thiên Chúa, chúng ta không được nghĩ rằng Thần Linh giống như vàng, hoặc bạc, hay đá do nghệ thuật chạm trổ và suy tưởng của con người làm ra. Thiên Chúa không chấp những thời gian mê muội đó, nay Người loan báo cho nhân loại nhận biết để mọi người khắp nơi ăn năn hối cải, vì Người đã quy định ngày Người sẽ xét xử vũ trụ cách công minh, do Ðấng Người đã chỉ định và cho Ðấng ấy từ cõi chết sống lại để mọi người tin”.\rKhi họ nghe nói kẻ chết sống lại, thì có kẻ nhạo cười, có người lại nói rằng: “Ðể khi khác, chúng tôi sẽ nghe ông nói lại về điều đó”. Thế là Phaolô bỏ họ ra đi. Nhưng cũng có vài người theo và tin ngài, trong số đó có Ðiônysiô nhân viên thuộc Arêôpagô, một phụ nữ tên Ðamari và mấy người khác nữa. Sau đó, Phaolô rời Athêna đi Côrintô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 148, 1-2. 11-12ab. 12c-14a. 14bcd","response":"Ðáp: Trời đất đầy vinh quang của Chúa.","verses":["Xướng:  Hãy ca tụng Chúa từ muôn cõi trời, hãy ca tụng Người trên nơi cao thẳm. Các thiên thần Chúa, hãy ca tụng Người đi, ca tụng Người đi, hỡi các đạo thiên binh.","Xướng: Quân vương địa cầu và tất cả chư dân, quan chức và các vị chính quyền trên cõi đất, các thanh niên và cả những cô gái tân, những ông cụ già với đoàn con trẻ.","Xướng: Họ hãy ca tụng danh Chúa, vì danh Người siêu phàm, độc nhất, oai nghiêm. Người tràn lan trên trời dưới đất, và Người nâng cao quyền thế dân Người.","Xướng: Dân Người là đề tài ca tụng cho mọi tín hữu, cho hết thảy con cái Israel, dân tộc sống gần gũi với Người."]},"alleluia":{"verse":"Ga 16, 7 và 13","content":"alleluia! – Chúa phán: “Thầy sẽ sai Thần Chân Lý đến, Người sẽ dạy các con biết tất cả sự thật”. – Alleluia."},"gospel":{"excerpt":"Ga 16, 12-15","info":"“Thần Chân lý sẽ dạy các con biết tất cả sự thật”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy còn nhiều điều phải nói với các con, nhưng bây giờ các con không thể lĩnh hội được. Khi Thần Chân lý đến, Người sẽ dạy các con biết tất cả sự thật, vì Người không tự mình mà nói, nhưng Người nghe gì thì sẽ nói vậy, và Người sẽ bảo cho các con biết những việc tương lai. Người sẽ làm vinh danh Thầy, vì Người sẽ lãnh nhận từ nơi Thầy mà loan truyền cho các con. Tất cả những gì Cha có, đều là của Thầy, vì thế Thầy đã nói: “Người sẽ lãnh nhận từ nơi Thầy mà loan truyền cho các con”.","end":"Ðó là lời Chúa"}},
+        "4064": {"firstReading":{"excerpt":"Cv 18, 1-8","info":"“Ngài cư trú và làm việc tại nhà họ, và giảng trong hội đường”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phaolô rời Athêna đi Côrintô; ngài gặp một người Do-thái tên là Aquila, quê ở Pontô, vừa từ đất Ý-đại-lợi đến làm một với vợ là Priscilla (bởi vì vua Clauđiô đã ra lệnh trục xuất mọi người Do-thái khỏi Roma); Phaolô đến gặp họ. Và vì chung một nghề, nên ngài cư trú và làm việc tại nhà họ: họ làm nghề dệt bố để làm nhà lều. Mỗi ngày Sabbat, ngài đến tranh luận tại hội đường, nêu danh Chúa Giêsu, thuyết phục người Do-thái và Hy-lạp.\rKhi Sila và Timôthêu từ Macêđônia đến, Phaolô chỉ chuyên lo việc giảng dạy, minh chứng cho người Do-thái biết Chúa Giêsu là Ðức Kitô. Nhưng họ công kích và lăng mạ Ngài, nên ngài dũ áo nói với họ: “Máu các ngươi đổ trên đầu các ngươi. Phần tôi, tôi vô can, từ đây, tôi sẽ đến với dân ngoại”.\rNgài ra khỏi chỗ đó, vào nhà một người kia tên là Titô Giustô có lòng kính sợ Chúa, nhà ông ở bên cạnh hội đường. Bấy giờ Crispô trưởng hội đường, và cả nhà ông tin theo Chúa; nhiều người Corintô nghe giảng, cũng tin theo và chịu phép rửa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người trước mặt chư dân (c. 2b).","verses":["Xướng: 1) Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người. – Ðáp.","2) Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân, Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel. – Ðáp.","3) Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca. – Ðáp."]},"alleluia":{"verse":"Ga 16, 28","content":"alleluia! – Thầy bởi Cha mà ra, và đã đến trong thế gian; bây giờ Thầy lại bỏ thế gian mà về cùng Cha. – Alleluia."},"gospel":{"excerpt":"Ga 16, 16-20","info":"“Các con sẽ buồn sầu, nhưng nỗi buồn của các con sẽ trở thành niềm vui”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy Chúa Giêsu phán cùng các môn đệ rằng: “Một ít nữa các con sẽ không thấy Thầy, rồi lại một ít nữa các con sẽ thấy Thầy, vì Thầy về cùng Cha”.\rBấy giờ trong các môn đệ có mấy người hỏi nhau: “Ðiều Người nói với chúng ta: “Một ít nữa các con sẽ không thấy Thầy, rồi lại một ít nữa các con sẽ thấy Thầy”, và “Vì Thầy về cùng Cha”, như thế có ý nghĩa gì?” Họ nói: “Lời Người nói ‘Một ít nữa’ có ý nghĩa gì? Chúng ta không biết Người muốn nói gì?”\rChúa Giêsu nhận thấy họ muốn hỏi Người, nên Người bảo họ: “Các con hỏi nhau vì Thầy đã nói: Một ít nữa các con sẽ không thấy Thầy, rồi lại một ít nữa các con sẽ thấy Thầy. Thật, Thầy bảo thật với các con: các con sẽ than van khóc lóc, còn thế gian sẽ vui mừng. Các con sẽ buồn sầu; nhưng nỗi buồn của các con sẽ trở thành niềm vui”.","end":"Ðó là lời Chúa"}},
+        "4065": {"firstReading":{"excerpt":"Cv 18, 9-18","info":"“Trong thành này, Ta có một dân đông đảo“.","title":"Trích sách Tông đồ Công vụ.","content":"(Khi Phaolô đang ở Côrintô), một đêm kia, Chúa hiện ra phán bảo Phaolô trong một thị kiến rằng: “Con đừng sợ, cứ giảng dạy, chứ đừng làm thinh; vì Ta ở cùng con, và không ai tra tay làm hại con, vì trong thành này, Ta có một dân đông đảo”. Phaolô ở lại đó một năm sáu tháng mà giảng dạy lời Chúa cho họ.\r(Ðến) thời Galliô làm tổng trấn xứ Akaia, người Do-thái đồng lòng nổi lên chống Phaolô và điệu ngài đến toà án mà thưa rằng: “Người này xui dân tôn thờ Thiên Chúa trái luật”. Phaolô toan mở miệng, thì Galliô nói với người Do-thái rằng: “Hỡi người Do-thái, nếu quả thật là điều chi tội ác, ta sẽ có lý mà nghe các ngươi; nhược bằng chỉ là những tranh luận về đạo lý, danh từ và lề luật, thì các ngươi hãy liệu lấy; ta không muốn xử các việc ấy”. Rồi ông đuổi họ ra khỏi toà án. Mọi người liền bắt Sosthênê, trưởng hội đường, và đánh đập ông ta trước toà án, thế mà Galliô cũng chẳng lưu tâm gì đến. Còn Phaolô thì lưu lại đó nhiều ngày, rồi từ giã anh em, xuống tàu đi Syria (với Priscilla và Aquila); tại Cenchri, ngài cạo trọc đầu, vì ngài đã khấn như thế.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 4-5. 6-7","response":"Ðáp: Thiên Chúa là Vua khắp cõi trần gian","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Người bắt các dân tùng phục chúng tôi, và đặt chư quốc dưới chân chúng tôi. Người đã chọn cho chúng tôi phần gia sản, vinh dự của Giacob mà Người sủng ái.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa, hãy ca mừng, ca mừng Vua của chúng ta."]},"alleluia":{"verse":"Cl 3, 1","content":"alleluia! – Nếu anh em sống lại làm một với Ðức Kitô, thì anh em hãy tìm kiếm những sự cao siêu trên trời, nơi Ðức Kitô đang ngự bên hữu Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 16, 20-23a","info":"“Niềm vui của các con không ai sẽ lấy mất được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thật, Thầy bảo thật các con: các con sẽ than van khóc lóc, còn thế gian sẽ vui mừng. Các con sẽ buồn sầu, nhưng nỗi buồn của các con sẽ trở thành niềm vui. Người đàn bà khi sinh con thì lo buồn, vì giờ đã đến, nhưng khi đã sinh con rồi, thì bà mừng rỡ, không còn nhớ đến cơn đau, bởi vì đã có một người sinh ra đời. Các con cũng thế, bây giờ các con buồn phiền, nhưng Thầy sẽ gặp lại các con, và lòng các con sẽ vui mừng, và niềm vui của các con không ai sẽ lấy mất được. Và trong ngày đó các con sẽ không còn hỏi Thầy điều gì nữa”.","end":"Ðó là lời Chúa"}},
+        "4066": {"firstReading":{"excerpt":"Cv 18, 23-28","info":"“Apollô trưng Thánh Kinh để minh chứng Ðức Giêsu là Ðấng Kitô”.","title":"Trích sách Tông đồ Công vụ.","content":"Sau khi ở lại Antiôkia ít lâu, Phaolô ra đi, lần lượt ngài đi qua các vùng Galata và Phrygia, làm cho tất cả môn đồ thêm vững mạnh.\rBấy giờ có một người Do-thái tên là Apollô, quê ở Alexan-dria, rất lợi khẩu và thông biết Thánh Kinh, ông đến Êphêxô. Ông đã học thông đạo Chúa; ông nhiệt tâm rao giảng và siêng năng dạy những điều về Ðức Kitô, mặc dầu ông chỉ biết phép rửa của Gioan. Vì thế ông bắt đầu hành động mạnh dạn trong hội đường. Khi Priscilla và Aquila nghe ông, liền đón ông (về nhà) và trình bày cặn kẻ hơn cho ông biết đạo Chúa. Ông muốn sang Akaia, thì các anh em khuyến khích ông và viết thơ cho các môn đồ xin họ tiếp đón ông. Ðến nơi, ông đã giúp các tín hữu rất nhiều, vì ông đã công khai phi bác những người Do-thái cách hùng hồn; ông trưng Thánh Kinh để minh chứng Ðức Giêsu là Ðấng Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 8-9. 10","response":"Ðáp: Thiên Chúa là Vua khắp cõi trần gian","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian. – Ðáp.","Xướng: Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người, Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người. – Ðáp.","Xướng: Vua chúa của chư dân, đã nhập đoàn với dân riêng Thiên Chúa của Abraham. Vì các vua chúa địa cầu thuộc quyền Thiên Chúa: Người là Ðấng muôn phần cao cả! – Ðáp."]},"alleluia":{"verse":"Ga 28, 19 và 20","content":"alleluia! – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Ga 16, 23b-28","info":"“Cha yêu mến các con, bởi vì các con yêu mến và tin Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thật, Thầy bảo thật các con: điều gì các con sẽ nhân danh Thầy mà xin Cha, thì Người sẽ ban cho các con. Cho đến bây giờ, các con chưa nhân danh Thầy mà xin điều gì. Hãy xin thì sẽ được, để các con được niềm vui trọn vẹn. Tất cả những điều đó, Thầy đã dùng dụ ngôn mà nói với các con. Ðã đến giờ Thầy sẽ không còn dùng dụ ngôn mà nói nữa, Thầy sẽ loan truyền rõ ràng cho các con về Cha. Ngày đó các con sẽ nhân danh Thầy mà xin, và Thầy không bảo là chính Thầy sẽ xin Cha cho các con đâu. Chính Cha yêu mến các con, bởi vì chúng con yêu mến Thầy và tin rằng Thầy bởi Thiên Chúa mà ra. Thầy bởi Cha mà ra, và đã đến trong thế gian, rồi bây giờ Thầy bỏ thế gian mà về cùng Cha”.","end":"Ðó là lời Chúa"}},
+        "4071": {"firstReading":{"excerpt":"Cv 19, 1-8","info":"“Anh em tin mà đã nhận Thánh Thần chưa?”","title":"Trích sách Tông đồ Công vụ.","content":"Xảy ra là khi Apollô ở Côrintô, thì Phaolô đi miền thượng du, rồi đến Êphêxô gặp một số môn đồ, và ngài hỏi họ: “Anh em tin mà đã nhận Thánh Thần chưa?” Họ trả lời: “Nguyên việc có Thánh Thần hay không, chúng tôi cũng chưa nghe nói”. Ngài lại hỏi: “Vậy các ngươi đã chịu phép rửa của ai?” Họ thưa: “Phép rửa của Gioan”. Phaolô liền bảo: “Gioan thanh tẩy dân chúng bằng phép rửa sám hối mà rằng: Hãy tin vào Ðấng sẽ đến sau ông, tức là Ðức Giêsu”. Nghe vậy, họ đã chịu phép rửa nhân danh Chúa Giêsu. Và khi Phaolô đặt tay trên họ, thì Thánh Thần đến ngự xuống trên họ, họ liền nói được nhiều thứ tiếng và nói tiên tri. Tất cả đàn ông chừng mười hai người.\rNgài vào hội đường, và trong suốt ba tháng, Ngài mạnh dạn rao giảng, tranh luận và thuyết phục về nước Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 67, 2-3. 4-5ac. 6-7ab","response":"Ðáp: Chư quốc trần ai, hãy ca khen Thiên Chúa. Hoặc đọc: Alleluia.","verses":["Xướng: Thiên Chúa đứng lên, quân thù của Người tan rã, và những kẻ ghét Người chạy trốn khỏi long nhan. Như làn khói toả, chúng rã tan, như mẩu sáp ong gần lửa chảy ra, những đứa ác nhân tiêu vong trước nhan Thiên Chúa. – Ðáp.","Xướng: Những người hiền đức mừng rỡ hỉ hoan, trước nhan Thiên Chúa họ mừng vui sung sướng. Hãy hát mừng Thiên Chúa, hãy đàn ca danh Người, danh hiệu Người là Chúa, hãy mừng rỡ hân hoan trước nhan Người. – Ðáp.","Xướng: Là Cha kẻ mồ côi, là Ðấng bênh vực người quả phụ, Thiên Chúa ngự trong thánh điện của Người. Thiên Chúa tạo nhà cửa cho những người bị bỏ rơi, dẫn đưa những người tù tội ra nơi thịnh đạt. – Ðáp."]},"alleluia":{"verse":"Mt 28, 19 và 20","content":"alleluia! – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia. (Hoặc đọc: )Alleluia, alleluia!. Anh em đã được chỗi dậy cùng với Đức Ki-tô, nen hãy tìm kiễm những gì thuộc thượng giới, nơi Đức Ki-tô đang ngự bên hữu Thiên Chúa. Alleluia."},"gospel":{"excerpt":"Ga 16, 29-33","info":"“Hãy can đảm lên, Thầy đã thắng thế gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, các môn đệ thưa Chúa Giêsu rằng: “Ðúng thế, bây giờ Thầy nói rõ ràng, và không dùng dụ ngôn nữa. Bây giờ chúng con biết rằng Thầy biết mọi sự, không cần có ai hỏi Thầy nữa. Bởi đó chúng con tin Thầy bởi Thiên Chúa mà ra”. Chúa Giêsu đáp lại các ông: “Bây giờ các con mới tin ư? Này đến giờ, và đã đến rồi, các con sẽ tản mát mỗi người một ngả, bỏ mặc Thầy một mình. Nhưng Thầy không ở một mình đâu, vì có Cha hằng ở với Thầy. Thầy nói với các con những điều đó để các con được bình an trong Thầy. Giữa thế gian, các con sẽ phải đau khổ, nhưng hãy can đảm lên, Thầy đã thắng thế gian”.","end":"Ðó là lời Chúa"}},
+        "4072": {"firstReading":{"excerpt":"Cv 20, 17-27","info":"“Tôi đi cho hết quãng đường đời và hoàn tất nhiệm vụ rao giảng lời Chúa”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, từ Milê, Phaolô sai người đi Êphêxô mời các trưởng giáo đoàn đến. Khi họ đến với ngài và hội họp, ngài nói với họ: “Các ông biết ngay tự ngày đầu khi tôi vào đất Tiểu Á, tôi đã cư xử thế nào với các ông trong suốt thời gian đó, tôi hết lòng khiêm nhường phụng sự Chúa, phải khóc lóc và thử thách do người Do-thái âm mưu hại tôi. Các ông biết tôi không từ chối làm một điều gì hữu ích cho các ông, tôi đã rao giảng và dạy dỗ các ông nơi công cộng và tại tư gia, minh chứng cho người Do-thái và dân ngoại biết phải hối cải trở về với Thiên Chúa, phải tin Ðức Giêsu Kitô, Chúa chúng ta. Và giờ đây được Thánh Thần bắt buộc đi Giêrusalem mà không biết ở đó có những gì xảy đến cho tôi, chỉ biết là từ thành này qua thành khác, Thánh Thần báo trước cho tôi rằng: xiềng xích và gian lao đang chờ tôi ở Giêrusalem. Nhưng tôi không sợ chi cả, không kể mạng sống tôi làm quý, miễn là tôi đi cho hết quãng đường đời và hoàn tất nhiệm vụ rao giảng lời Chúa mà tôi đã lãnh nhận nơi Chúa Giêsu là làm chứng về Tin Mừng ơn Thiên Chúa. Và giờ đây, tôi biết rằng hết thảy các ông là những người được tôi ghé qua rao giảng nước Thiên Chúa, các ông sẽ chẳng còn thấy mặt tôi nữa. Vì thế hôm nay tôi quả quyết với các ông rằng: tôi trong sạch không dính máu người nào cả. Vì chưng, tôi không trốn tránh, khi phải rao giảng cho các ông mọi ý định của Thiên Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 67, 10-11. 20-21","response":"Ðáp: Chư quốc trần ai, hãy ca khen Thiên Chúa","verses":["Xướng: Ôi Thiên Chúa, Ngài làm mưa ân huệ xuống cho dân Ngài, và khi họ mệt mỏi, Ngài đã bổ dưỡng cho. Ôi Thiên Chúa, đoàn chiên Ngài định cư trong xứ sở, mà do lòng nhân hậu, Ngài chuẩn bị cho kẻ cơ bần. – Ðáp.","Xướng: Chúc tụng Chúa ngày nọ qua ngày kia. Thiên Chúa là Ðấng cứu độ, Ngài vác đỡ gánh nặng chúng ta. Thiên Chúa chúng ta là Thiên Chúa cứu độ, Chúa là Thiên Chúa ban ơn giải thoát khỏi tay tử thần. – Ðáp."]},"alleluia":{"verse":"Ga 14, 16","content":"alleluia! – Thầy sẽ xin cùng Cha, và Người sẽ ban cho các con Ðấng Phù Trợ khác, để Ngài ở với các con luôn mãi. – Alleluia."},"gospel":{"excerpt":"Ga 17, 1-11a","info":"“Lạy Cha, xin hãy làm vinh hiển Con Cha”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu ngước mắt lên trời và nói: “Lạy Cha, giờ đã đến, xin hãy làm vinh hiển Con Cha, để Con Cha làm vinh hiển Cha. Vì Cha đã ban cho Con quyền trên mọi huyết nhục, để con cũng ban sự sống đời đời cho mọi kẻ Cha đã giao phó cho Con. Sự sống đời đời chính là chúng nhận biết Cha là Thiên Chúa duy nhất chân thật, và Ðấng Cha đã sai, là Giêsu Kitô.\r“Con đã làm vinh hiển Cha dưới đất, Con đã chu toàn công việc mà Cha đã giao phó cho Con. Giờ đây, lạy Cha, xin hãy làm cho Con được vinh hiển nơi Cha với sự vinh hiển mà Con đã có nơi Cha, trước khi có thế gian. Con đã tỏ danh Cha cho mọi kẻ Cha đã đưa khỏi thế gian mà ban cho Con. Chúng thuộc về Cha, và Cha đã ban chúng cho Con, và chúng đã tuân giữ lời Cha. Bây giờ chúng biết rằng những gì Cha ban cho Con, đều bởi Cha mà ra. Vì những lời Cha ban cho Con thì Con đã ban cho chúng và chúng đã lãnh nhận, và biết đích thực rằng Con bởi Cha mà ra, và chúng tin rằng Cha đã sai Con.\r“Con cầu xin cho chúng, Con không cầu xin cho thế gian, nhưng cho những kẻ Cha đã ban cho Con, bởi vì chúng là của Cha. Và mọi sự của Con là của Cha, và mọi sự của Cha cũng là của Con, và Con đã được vinh hiển nơi chúng. Con không còn ở thế gian nữa, nhưng chúng vẫn còn ở thế gian, phần Con, Con về cùng Cha”.","end":"Ðó là lời Chúa"}},
+        "4073": {"firstReading":{"excerpt":"Cv 20, 28-38","info":"“Tôi xin ký thác các ông cho Thiên Chúa, Ðấng có quyền năng kiến tạo và ban cho các ông được dự phần gia nghiệp”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phaolô nói với các trưởng giáo đoàn Êphêxô rằng: “Các ông hãy thận trọng, và săn sóc đoàn chiên mà Thánh Thần đã đặt các ông làm giám quản điều khiển giáo đoàn của Chúa đã được Người cứu chuộc bằng máu. Phần tôi, tôi biết rằng sau khi tôi đi rồi, sẽ có những sói dữ đột nhập giữa các ông, chúng không dung tha đoàn chiên; và ngay giữa các ông sẽ có những kẻ ăn nói xảo trá nổi dậy để lôi kéo các môn đồ theo họ. Vì thế, các ông hãy tỉnh thức, và nhớ rằng trong ba năm trời, đêm ngày tôi không ngừng sa lệ mà khuyên bảo từng người. Và bây giờ, tôi xin ký thác các ông cho Thiên Chúa và cho lời ân sủng của Người, Người là Ðấng có quyền năng kiến tạo và ban cho các ông được dự phần gia nghiệp làm một với tất cả mọi người đã được thánh hoá. Tôi đã không ham muốn bạc, vàng, hay y phục của ai hết, như chính các ông đã biết. Những đồ gì tôi và những kẻ ở với tôi cần dùng, thì chính hai bàn tay này đã làm ra. Bằng mọi cách, tôi đã chỉ bảo cho các ông rằng phải làm việc như vậy, để nâng đỡ những người yếu đuối, và ghi nhớ lời Chúa Giêsu đã phán: “Cho thì có phúc hơn là nhận”.”\rNói xong, ngài quỳ xuống cầu nguyện với mọi người. Ai nấy đều khóc lớn tiếng, và ôm cổ Phaolô mà hôn, họ đau buồn nhất là vì lời ngài vừa nói rằng họ sẽ không còn thấy mặt ngài nữa. Rồi họ tiễn đưa ngài xuống tàu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 67, 29-30. 33-35a. 35b-36c","response":"Ðáp: Chư quốc trần ai, hãy ca khen Thiên Chúa (c. 33a).","verses":["Xướng: Ôi Thiên Chúa, xin tỏ ra quyền năng của Chúa. Ôi Thiên Chúa, xin củng cố sự việc Chúa đã làm cho chúng con! Vì thánh đài của Chúa ở Giêrusalem, các vua sẽ tiến dâng Ngài lễ vật.","Xướng: Chư quốc trần ai, hãy ca khen Thiên Chúa, hãy xướng lên bài ca mừng Chúa, mừng Ðấng ngự giá qua cõi trời, cõi trời ngàn thu! Kìa Ngài lên tiếng, tiếng nói quyền năng: “Các ngươi hãy nhìn biết quyền năng Thiên Chúa”.","Xướng: Oai nghiêm Ngài chiếu giãi trên Israel, và quyền năng Ngài trên cõi nước mây. Từ thánh điện của Ngài, Thiên Chúa đáng tôn sợ. Thiên Chúa của Israel, chính Ngài ban cho dân Ngài được quyền năng và mãnh lực."]},"alleluia":{"verse":"Mt 28, 19 và 20","content":"alleluia! – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Ga 17, 11b-19","info":"“Ðể chúng được nên một như Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu ngước mắt lên trời cầu nguyện rằng: “Lạy Cha chí thánh, xin hãy gìn giữ trong danh Cha những kẻ Cha đã ban cho Con, để chúng được nên một như Ta. Khi Con còn ở với chúng, Con đã gìn giữ chúng trong Cha. Con đã gìn giữ những kẻ Cha đã giao phó cho Con, không một ai trong chúng bị mất, trừ ra con người hư vong, để lời Kinh Thánh được nên trọn. Bây giờ Con về cùng Cha, và Con nói những điều này khi Con còn dưới thế, để chúng được đầy sự vui mừng của Con trong lòng.\r“Con đã ban lời Cha cho chúng, và thế gian đã ghét chúng, vì chúng không thuộc về thế gian, cũng như Con không thuộc về thế gian. Con không xin Cha đem chúng ra khỏi thế gian, nhưng xin gìn giữ chúng cho khỏi sự dữ. Chúng không thuộc về thế gian, cũng như Con không thuộc về thế gian. Xin hãy thánh hoá chúng trong chân lý: lời Cha là chân lý. Cũng như Cha đã sai Con vào thế gian, thì Con cũng sai chúng vào thế gian. Và vì chúng, Con đã tự thánh hoá, để cả chúng cũng được thánh hoá trong chân lý”.","end":"Ðó là lời Chúa"}},
+        "4074": {"firstReading":{"excerpt":"Cv 22, 30; 23, 6-11","info":"“Con phải làm chứng về Ta tại Rôma”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, toà án muốn biết đích xác người Do-thái tố cáo Phaolô về tội gì, nên cởi trói cho ngài, và truyền lệnh cho các thượng tế và toàn thể công nghị họp lại, rồi dẫn Phaolô đến đứng trước mặt họ. Phaolô biết có một số người thuộc phe Sađốc, và một số khác thuộc phe biệt phái, nên kêu lớn tiếng giữa công nghị rằng: “Thưa anh em, tôi là biệt phái, con của người biệt phái, tôi bị xét xử vì niềm hy vọng và vì sự sống lại của những người đã chết”. Ngài vừa nói thế, thì xảy ra sự bất đồng ý kiến giữa các người biệt phái và Sađốc, và hội đồng đâm ra chia rẽ. Vì các người Sađốc cho rằng không có sự sống lại, không có thiên thần và thần linh; còn các người biệt phái thì tin tất cả điều đó. Tiếng la lối inh ỏi, và có mấy người biệt phái đứng lên bênh vực rằng: “Chúng tôi không thấy người này có tội gì; và nếu thần linh hay thiên thần nói với người này thì sao?” Cuộc tranh luận đã đến hồi gây cấn, viên quản cơ sợ Phaolô bị phân thây, nên sai lính xuống kéo ngài ra khỏi họ và dẫn về đồn.\rÐêm sau, Chúa hiện đến cùng ngài và phán: “Hãy can đảm lên! Con đã làm chứng về Ta tại Giêrusalem thế nào, thì cũng phải làm chứng về Ta tại Rôma như vậy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","response":"Ðáp: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa","verses":["Xướng:  Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa. Con thưa cùng Chúa: Ngài là chúa tể con; Chúa là phần gia nghiệp và phần chén của con, chính Ngài nắm giữ vận mạng của con. – Ðáp.","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo, đó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng. – Ðáp.","Xướng: Bởi thế, lòng con vui mừng và linh hồn con hoan hỉ, ngay cả đến xác thịt của con cũng nằm nghỉ an toàn, vì Chúa chẳng bỏ rơi linh hồn con trong Âm phủ, cũng không để thánh nhân của Ngài thấy điều hư nát. – Ðáp.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa, tới muôn muôn đời! – Ðáp."]},"alleluia":{"verse":"Ga 14, 18","content":"alleluia! – Chúa phán: “Thầy sẽ không bỏ các con mồ côi: Thầy sẽ đến với các con và lòng các con sẽ vui mừng”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: “Lạy Cha, xin cho tất cả nên một, như Cha ở trong con và Con ở trong Cha, để thế gian tin rằng Cha đã sai con”. Alleluia."},"gospel":{"excerpt":"Ga 17, 20-26","info":"“Xin cho chúng nên một”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu ngước mắt lên trời cầu nguyện rằng: “Con không cầu xin cho chúng mà thôi, nhưng còn cho tất cả những kẻ, nhờ lời chúng mà tin vào Con, để mọi người nên một, cũng như Cha ở trong Con và Con ở trong Cha, để cả chúng cũng nên một trong Ta, để thế gian tin rằng Cha đã sai Con. Con đã ban cho chúng vinh hiển mà Cha đã ban cho Con, để chúng nên một như Chúng Ta là một. Con ở trong chúng, và Cha ở trong Con, để chúng được hoàn toàn nên một và để thế gian biết rằng Cha đã sai Con, và Con đã yêu mến chúng như Cha đã yêu mến Con. Lạy Cha, những kẻ Cha ban cho Con thì Con muốn rằng Con ở đâu, chúng cũng ở đấy với Con, để chúng chiêm ngưỡng vinh quang mà Cha đã ban cho Con, vì Cha đã yêu mến Con trước khi tạo thành thế gian. Lạy Cha công chính, thế gian đã không biết Cha, nhưng Con biết Cha, và những người này cũng biết rằng Cha đã sai Con. Con đã tỏ cho chúng biết danh Cha, và Con sẽ còn tỏ cho chúng nữa, để tình Cha yêu Con ở trong chúng, và Con cũng ở trong chúng nữa”.","end":"Ðó là lời Chúa"}},
+        "4075": {"firstReading":{"excerpt":"Cv 25, 13-21","info":"“Ðức Giêsu đã chết mà Phaolô quả quyết là vẫn sống”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, vua Agrippa và Berni xuống Cêsarêa chào Phestô. Vì hai người lưu lại đó nhiều ngày, nên Phestô đem chuyện Phaolô trình nhà vua rằng: “Ở đây có một người tù Phêlixê để lại. Lúc tôi ở Giêrusalem, các thượng tế và kỳ lão Do-thái đã đến xin tôi lên án hắn. Tôi đã trả lời với họ rằng: “Người Rôma không có thói quen lên án người nào trước khi bị cáo đối diện với nguyên cáo, và có cơ hội bào chữa để thanh minh tội mình”. Vậy họ liền đến đây, ngày hôm sau tôi ngồi toà án, truyền điệu bị cáo đến. Các nguyên cáo đều có mặt, nhưng không đưa ra một tội trạng nào, như tôi đã ngờ trước; họ chỉ tố cáo hắn mấy điều về mê tín, về một Giêsu nào đó đã chết mà Phaolô quả quyết là vẫn sống. Ðang phân vân về vấn đề ấy, tôi hỏi hắn có muốn đi Giêrusalem để được xét xử tại đó về các điều ấy không. Nhưng Phaolô nại đến thẩm quyền của hoàng đế Augustô, nên tôi đã truyền giữ hắn lại để nạp cho hoàng đế”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 11-12. 19-20ab","response":"Ðáp: Chúa thiết lập ngai vàng Người ở cõi cao xanh","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, và toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người. – Ðáp.","Xướng: Cũng như trời xanh cao vượt trên trái đất, lòng nhân Người còn siêu việt hơn thế trên kẻ kính sợ Người. Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi. – Ðáp.","Xướng: Chúa thiết lập ngai vàng Người ở cõi cao xanh, và vương quyền Người phủ trị trên khắp muôn loài. Hãy chúc tụng Chúa đi, chư vị thiên thần, dũng lực hùng anh, thi hành lời Chúa. – Ðáp."]},"alleluia":{"verse":"Ga 14, 18","content":"alleluia! – Chúa phán: “Thầy sẽ không bỏ các con mồ côi: Thầy sẽ đến với các con và lòng các con sẽ vui mừng”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Thánh Thần sẽ dạy anh em mọi điều, và sẽ làm anh em nhớ lại mọi điều Thầy đã nói với anh em. Alleluia."},"gospel":{"excerpt":"Ga 21, 15-19","info":"“Con hãy chăn dắt các chiên mẹ và chiên con của Thầy”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi Chúa Giêsu đã tỏ mình ra cho các môn đệ, Người dùng bữa với các ông, và hỏi Simon Phêrô rằng: “Simon, con ông Gioan, con có yêu mến Thầy hơn những người này không?” Ông đáp: “Thưa Thầy: Có, Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên con của Thầy”.\rNgười lại hỏi: “Simon, con ông Gioan, con có yêu mến Thầy không?” Ông đáp: “Thưa Thầy: Có, Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên con của Thầy”.\rNgười hỏi ông lần thứ ba: “Simon, con ông Gioan, con có yêu mến Thầy không?” Phêrô buồn phiền, vì thấy Thầy hỏi lần thứ ba “Con có yêu mến Thầy không?” Ông đáp: “Thưa Thầy, Thầy biết mọi sự: Thầy biết con yêu mến Thầy” Người bảo ông: “Con hãy chăn dắt các chiên mẹ của Thầy. Thật, Thầy bảo thật cho con biết: khi con còn trẻ, con tự thắt lưng lấy và đi đâu mặc ý, nhưng khi con già, con sẽ giang tay ra, người khác sẽ thắt lưng cho con và dẫn con đến nơi con không muốn đến”. Chúa nói thế có ý ám chỉ Phêrô sẽ chết cách nào để làm sáng danh Thiên Chúa. Phán những lời ấy đoạn, Người bảo ông: “Con hãy theo Thầy”.","end":"Ðó là lời Chúa"}},
+        "4076": {"firstReading":{"excerpt":"Cv 28, 16-20. 30-31","info":"“Ngài ở lại Rôma, rao giảng nước Thiên Chúa”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi chúng tôi đến Rôma, Phaolô được phép ở nhà riêng với người lính canh. Sau ba hôm, ngài mời các đầu mục người Do-thái đến. Khi họ đến, ngài nói với họ: “Thưa anh em, dầu tôi đây không làm điều gì phạm đến dân tộc hay tục lệ tổ tiên, mà tôi đã bị bắt tại Giêrusa-lem và bị nộp trong tay người Rôma. Khi đã điều tra, họ muốn thả tôi vì tôi không có tội gì đáng chết. Nhưng người Do-thái chống lại, nên tôi buộc lòng phải nại đến hoàng đế, nhưng không phải là tôi có gì kiện cáo dân tôi. Do đó tôi đã xin gặp anh em và nói chuyện: Chính vì niềm hy vọng của Israel mà tôi phải mang xiềng xích này”.\rSuốt hai năm, ngài trú tại ngôi nhà đã thuê, tiếp nhận tất cả những ai đến gặp ngài, ngài rao giảng nước Thiên Chúa và dạy dỗ những điều về Chúa Giêsu Kitô một cách dạn dĩ, không có ai ngăn cấm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 10, 5. 6 và 8","response":"Ðáp: Lạy Chúa, người chính trực sẽ nhìn thấy tôn nhan Chúa","verses":["Xướng: Chúa kiểm soát người hiền đức, kẻ ác nhân, ai chuộng điều ác, thì linh hồn Người ghét bỏ.","Xướng: Trên lũ tội nhân Người làm mưa than đỏ diêm sinh, và phần chén của chúng là luồng gió lửa. Bởi Chúa công minh, nên Người thích chuyện công minh, người chính trực sẽ nhìn thấy thiên nhan."]},"alleluia":{"verse":"Ga 14, 16","content":"alleluia! – Thánh Thần sẽ dạy các con mọi điều, và sẽ nhắc nhở cho các con tất cả những gì Thầy đã nói với các con. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Thầy sẽ sai Thần Khí sự thật đến với anh em; Người sẽ dẫn anh em tới sự thật toàn vẹn. Alleluia."},"gospel":{"excerpt":"Ga 21, 20-25","info":"“Chính môn đệ này làm chứng về những việc đó và đã viết ra”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Phêrô quay lại, thấy môn đệ Chúa Giêsu yêu mến theo sau, cũng là người nằm sát ngực Chúa trong bữa ăn tối và hỏi “Thưa Thầy, ai là người sẽ nộp Thầy?” Vậy khi thấy môn đệ đó, Phêrô hỏi Chúa Giêsu rằng: “Còn người này thì sao?” Chúa Giêsu đáp: “Nếu Thầy muốn nó cứ ở lại mãi cho tới khi Thầy đến thì việc gì đến con? Phần con, cứ theo Thầy”. Vì thế, có tiếng đồn trong anh em là môn đệ này sẽ không chết. Nhưng Chúa Giêsu không nói với Phêrô: “Nó sẽ không chết”, mà Người chỉ nói: “Nếu Thầy muốn nó cứ ở lại mãi cho tới khi Thầy đến thì việc gì đến con”.\rChính môn đệ này làm chứng về những việc đó và đã viết ra, và chúng tôi biết lời chứng của người ấy xác thật. Còn nhiều việc khác Chúa Giêsu đã làm, nếu chép lại từng việc một thì tôi thiết tưởng cả thế giới cũng không thể chứa hết các sách viết ra.","end":"Ðó là lời Chúa"}},
+        "4089": {"firstReading":{"excerpt":"St 11, 1-9 (hay Xh 19,3-8. 16-20)","info":"“Trước mắt toàn dân, Chúa sẽ ngự xuống trên núi Sinai”","title":"Bài trích sách Xuất Hành","content":"Trong những ngày ấy, Môisen lên cùng Thiên Chúa. \rTừ trên núi, Chúa gọi ông và bảo: “Ngươi hãy nói với nhà Giacób, và thông báo cho con cái Israel thế này: “Chính các ngươi đã thấy những gì Ta làm cho người Ai cập. Ta đã mang các ngươi trên cánh phượng hoàng, và đem các ngươi đến với Ta. Từ nay, nếu các ngươi nghe lời Ta và giữ giao ước Ta, thì các ngươi sẽ là sở hữu của Ta được tách biệt khỏi mọi dân, vì cả trái đất là của Ta. Ðối với Ta, các ngươi sẽ là một vương quốc tư tế, một dân tộc hiến thánh. Ðó là những lời ngươi sẽ nói lại với con cái Israel”.\r Môisen trở xuống triệu tập các trưởng lão trong dân và trình bày cho họ mọi điều Chúa đã truyền cho ông.\r Toàn dân đồng thanh đáp: “Mọi điều Thiên Chúa dạy, chúng tôi xin thi hành”.\rQua ngày thứ ba, trời vừa sáng, có sấm vang chớp loè và mây dày đặc che phủ ngọn núi và tiếng tù và rền vang.\rToàn dân trong trại kinh hãi.\rMôisen đưa dân ra khỏi trại để gặp Chúa, họ đứng dưới chân núi.\r Khắp núi Sinai bốc khói, vì Chúa ngự xuống đó trong ngọn lửa: khói bốc lên như bởi lò lửa và cả núi rung chuyển dữ dội.\r Tiếng tù và càng rúc mạnh.\rMôisen nói và Thiên Chúa đáp lại trong tiếng sấm.\rChúa ngự xuống trên đỉnh núi Sinai, Người gọi Môisen lên đỉnh núi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103, 1-2a; 25c, 27-28, 29bc-30","response":"Đáp:  Lạy Chúa, xin sai Thánh Thần Chúa đến, và xin canh tân bộ mặt trái đất.","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, lạy Chúa là Thượng Ðế của tôi, Ngài quá ư vĩ đại! Ngài mặc lấy oai nghiêm huy hoàng, ánh sáng choàng thân như mang áo khoác.","Xướng: Lạy Chúa, thực nhiều thay công cuộc của Ngài! Ngài đã tạo thành vạn vật cách khôn ngoan, địa cầu đầy dẫy loài thụ tạo của Ngài, kìa biển khơi mênh mông bát ngát, những vật tý hon sống chung cùng loài to lớn.","Xướng: Hết thảy mọi vật đều mong chờ ở Chúa, để Ngài ban lương thực cho chúng đúng thời giờ. Khi Ngài ban cho thì chúng lãnh, Ngài mở tay ra thì chúng no đầy thiện hảo.","Xướng: Ngài rút hơi thở chúng đi, chúng chết ngay, và chúng trở về chỗ tro bụi của mình. Nếu Ngài gởi hơi tới, chúng được tạo thành, vì Ngài canh tân bộ mặt trái đất."]},"secondReading":{"excerpt":"Rm. 8,22-27","info":"“Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả”.","title":"Bài trích thơ Thánh Phaolô Tông đồ gởi tín hữu Rôma.","content":"Anh em thân mến, chúng ta biết rằng cho đến nay, mọi tạo vật đang rên siết trong cơn đau đớn như lúc sinh nở. Nhưng không phải chỉ tạo vật mà thôi đâu, mà cả chúng ta nữa, tức là những kẻ đã được hưởng của đầu mùa của Thánh Thần, chúng ta cũng rên rỉ trong mình chúng ta khi mong Thánh Thần nhận làm nghĩa tử, và cứu chuộc thân xác chúng ta. Vì chưng nhờ niềm cậy trông mà chúng ta được cứu độ.\r Nhưng hễ nhìn thấy điều mình hy vọng thì không phải là hy vọng nữa.\r Vì ai đã thấy điều gì rồi, đâu còn hy vọng nó nữa?\r Nhưng nếu chúng ta hy vọng điều chúng ta không trông thấy, chúng ta sẽ kiên tâm trông đợi.\r Ðàng khác, cũng có Thánh Thần nâng đỡ sự yếu hèn của chúng ta.\r Vì chúng ta không biết cầu ngyện thế nào cho xứng hợp.\r Nhưng chính Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả.\r Mà Ðấng thấu suốt tâm hồn, thì biết điều Thánh Thần ước muốn.\r Bởi vì Thánh Thần cầu xin cho các thánh theo ý Thiên Chúa. ","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia. - Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 7,37-39","info":"“Phát sinh nước hằng sống“","title":"Bài trích Phúc Âm theo Thánh Gioan.","content":"Vào ngày cuối cùng và trọng đại của dịp lễ, Chúa Giêsu đứng lên giảng lớn tiếng rằng: “Ai khát nước hãy đến cùng Ta và uống; ai tin nơi Ta, thì như lời Thánh Kinh dạy: từ lòng họ nước hằng sống sẽ chảy ra như giòng sông”.\r Người nói điều ấy về Chúa Thánh Thần mà các kẻ tin nơi Người sẽ lãnh lấy, vì bởi Chúa Giêsu chưa được tôn vinh.","end":"Ðó là lời Chúa"}}
+    }
+});
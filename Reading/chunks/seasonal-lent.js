@@ -0,0 +1,45 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("seasonal-lent", {
+    "SEASONAL": {
+        "3004": {"firstReading":{"excerpt":"Ge 2, 12-18","info":"“Hãy xé tâm hồn chứ đừng xé áo các ngươi”.","title":"Trích sách Tiên tri Giô-en.","content":"Bấy giờ Chúa phán: Các ngươi hãy thật lòng trở về với Ta trong chay tịnh, nước mắt và than van. Hãy xé tâm hồn, chớ đừng xé áo các ngươi. Hãy trở về với Chúa là Thiên Chúa các ngươi, vì Người nhân lành và từ bi, nhẫn nại, giầu lòng thương xót và biết hối tiếc về tai hoạ. Biết đâu Người sẽ trở lại, sẽ hối tiếc và sẽ ban lại phần phúc để có của lễ hiến tế dâng lên Chúa là Thiên Chúa các ngươi?\rHãy thổi kèn lên khắp Sion, hãy ra lệnh ăn chay, triệu tập một đại lễ, quy tụ dân chúng, ra lệnh mở đại hội, tập họp các bô lão, quy tụ các thiếu nhi và các trẻ còn măng sữa. Tân lang hãy ra khỏi nhà, và tân nương hãy ra khỏi phòng. Các tư tế là những kẻ phụng sự Chúa, hãy đứng giữa cửa chính và bàn thờ mà than khóc và kêu lên rằng: Lạy Chúa, xin thương xót dân Chúa, xin đừng để cho cơ nghiệp Chúa phải hổ thẹn, đừng để các dân tộc thống trị nó. Tại sao thiên hạ dám nói rằng: “Chúa của chúng ở đâu?” Chúa đã nhiệt thành với xứ sở Người và đã tha thứ cho dân Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 12-13. 14 và 17","response":"Ðáp: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Vì sự lỗi con, chính con đã biết, và tội con ở trước mặt con luôn; con phạm tội phản nghịch cùng một Chúa.","Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin ban lại cho con niềm vui ơn cứu độ, với tinh thần quảng đại, Chúa đỡ nâng con. Lạy Chúa, xin mở môi con, để miệng con sẽ loan truyền lời ca khen."]},"secondReading":{"excerpt":"2 Cr 5, 20 – 6,2","info":"“Hãy làm hoà cùng Chúa đi… Bây giờ là cơ hội thuận tiện”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, chúng tôi đây là sứ giả của Ðức Kitô, chính Thiên Chúa nhờ chúng tôi mà khích lệ anh em. Nhân danh Ðức Kitô, chúng tôi năn nỉ anh em hãy làm hoà cùng Thiên Chúa. Ðấng không hề biết đến tội lỗi thì Thiên Chúa đã làm Người thành thân tội vì chúng ta, để trong Người, chúng ta được trở nên sự công chính của Thiên Chúa.\rVới tư cách là những cộng sự viên của Người, chúng tôi khuyên anh em đừng nhận lấy ơn của Thiên Chúa một cách vô hiệu. Quả thật Chúa phán: “Dịp thuận tiện đến rồi, Ta đã nhậm lời ngươi, vào ngày giải thoát, Ta đã cứu vớt ngươi”. Bây giờ là cơ hội thuận tiện, giờ đây là ngày cứu thoát.","end":"Ðó là lời Chúa"},"alleluia":{"verse":":","content":"Ôi lạy Chúa, xin tạo cho con quả tim trong sạch. Xin ban lại cho con niềm vui ơn cứu độ."},"gospel":{"excerpt":"Mt 6, 1-6. 16-18","info":"“Cha ngươi, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"rKhi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy cẩn thận, đừng phô trương công đức trước mặt người ta để thiên hạ trông thấy, bằng không các con mất công phúc nơi Cha các con là Ðấng ở trên trời. Vậy khi các con bố thí, thì đừng thổi loa báo trước, như bọn giả hình làm ở nơi hội đường và phố xá, để cho người ta ca tụng họ. Quả thật, Ta bảo các con, họ đã được thưởng công rồi. Các con có bố thí, thì làm sao đừng để tay trái biết việc tay phải làm, để việc con bố thí được giữ kín và Cha con, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho con.\r“Rồi khi các con cầu nguyện, thì cũng chớ làm như những kẻ giả hình: họ ưa đứng cầu nguyện giữa hội đường và các ngả đàng, để thiên hạ trông thấy. Quả thật, Ta bảo các con rằng: họ đã được thưởng công rồi. Còn con khi cầu nguyện, thì hãy vào phòng đóng cửa lại mà cầu xin với Cha con, Ðấng ngự nơi bí ẩn, và Cha con, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho con.\r“Khi các con ăn chay, thì đừng làm như bọn giả hình thiểu não: họ làm cho mặt mũi ủ dột, để có vẻ ăn chay trước mặt người ta. Quả thật, Ta bảo các con, họ đã được thưởng công rồi. Còn con khi ăn chay, hãy xức dầu thơm trên đầu và rửa mặt, để thiên hạ không biết con ăn chay, nhưng chỉ tỏ ra cho Cha con, Ðấng ngự nơi bí ẩn, và Cha con thấu suốt mọi bí ẩn, sẽ trả công cho con”.","end":"Ðó là lời Chúa"}},
+        "3005": {"firstReading":{"excerpt":"Ðnl 30, 15-20","info":"“Hôm nay tôi đề nghị với anh em về sự chúc lành và sự chúc dữ”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói với dân rằng: Này hôm nay tôi giãi bày cho anh em về sự sống và hạnh phúc, về sự chết và bất hạnh. Hãy yêu mến Chúa là Thiên Chúa anh em, hãy đi trong đường lối Người và tuân giữ các giới răn, những lề luật và các huấn lệnh của Người, hầu anh em được sống và tăng số, và Chúa chúc lành cho anh em trên phần đất mà anh em sẽ chiếm hữu. Nhưng nếu lòng anh em không quay về, không muốn nghe, và chạy theo lầm lạc, thờ lạy và phụng sự các thần khác, thì hôm nay tôi tuyên bố với anh em rằng anh em sẽ chết, không được sống trên phần đất bên kia sông Giođan mà anh em sẽ chiếm hữu. Hôm nay, tôi xin trời đất làm chứng rằng: tôi đã đề nghị với anh em về sự sống và sự chết, sự chúc lành và sự chúc dữ. Vậy hãy chọn lựa sự sống để anh em và dòng dõi anh em được sống. Hãy yêu mến Chúa là Thiên Chúa anh em, hãy tuân phục lệnh Người và liên kết với Người, vì Người là sự sống và là sự sống lâu dài của anh em, để anh em được ở trong đất nước mà Chúa đã hứa ban cho tổ phụ anh em là Abraham, Isaac và Giacóp”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Phúc thay người đặt niềm tin cậy vào Chúa","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy, họ như vỏ trấu bị gió cuốn đi; vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":":","content":"Ðây là lúc thuận tiện, đây là ngày cứu độ."},"gospel":{"excerpt":"Lc 9, 22-25","info":"“Ai bỏ mạng sống mình vì Ta, sẽ được sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Con Người phải đau khổ nhiều, bị các vị Kỳ lão, các Thượng tế, và các Luật sĩ khai trừ và giết chết, nhưng ngày thứ ba Người sẽ sống lại”.\rChúa nói với mọi người rằng: “Ai muốn theo Ta, hãy bỏ mình, vác thập giá mình hằng ngày mà theo Ta. Vì chưng, ai muốn giữ mạng sống mình, thì sẽ mất; còn ai mất mạng sống vì Ta, sẽ được sống. Vậy nếu con người được lời lãi cả thế gian, mà phải thiệt mất mạng sống, thì được ích gì?”","end":"Ðó là lời Chúa"}},
+        "3006": {"firstReading":{"excerpt":"Is 58, 1-9a","info":"“Có phải đó là việc ăn chay mà Ta mong muốn không?”","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa là Thiên Chúa phán: “Ngươi hãy hô to, và đừng ngừng tiếng; hãy làm cho tiếng ngươi vang dội như tiếng kèn, và loan báo cho dân Ta biết sự bất trung của họ, cho nhà Giacóp biết tội lỗi của nó. Vì hằng ngày họ tìm kiếm Ta, và ước mong biết đường lối Ta, như một dân tộc thực hiện công lý và không bỏ lề luật Chúa. Họ hỏi Ta về quy tắc công lý và ước mong đến gần Thiên Chúa: “Tại sao chúng con ăn chay mà Chúa không thấy? Tại sao chúng con hãm mình mà Chúa không hay biết?” Phải, trong ngày ăn chay, các ngươi lo dàn xếp công việc làm ăn, các ngươi hối thúc mọi người làm công. Phải, các ngươi ăn chay trong sự cãi vã, ẩu đả và đánh nhau hung tợn. Các ngươi đừng ăn chay như xưa nay, là cố la lớn tiếng cho người ta nghe. Có phải đó là việc ăn chay mà Ta mong muốn, có phải như thế là ngày hãm mình không? Gục đầu như bông sậy, mặc áo thô, nằm trên đống tro, có phải đó là ăn chay, là ngày làm cho Chúa hài lòng không? Nào ăn chay như Ta mong muốn không phải như thế này sao, là huỷ bỏ xiềng xích bất công, tháo gỡ ách nặng, trả tự do cho kẻ bị áp bức, dẹp bỏ mọi gánh nặng; hãy chia cơm bánh cho kẻ đói, tiếp rước những kẻ phiêu bạt không nhà; nếu ngươi gặp một người trần truồng, hãy cho họ áo mặc, ngươi đừng khinh bỉ người cùng xác thịt như mình. Như thế, sự sáng ngươi tỏ rạng như hừng đông, các vết thương ngươi sẽ lành nhanh chóng; công lý ngươi sẽ đi trước mặt ngươi, vinh quang Chúa sẽ hậu thuẫn cho ngươi. Như thế, khi ngươi kêu cầu, Chúa sẽ trả lời; ngươi la lên, Chúa sẽ phán: “Này Ta đây”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 18-19","response":"Ðáp: Lạy Chúa, xin đừng chê tấm lòng tan nát khiêm cung","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Vì sự lỗi con, chính con đã biết, và tội con ở trước mặt con luôn. Con phạm tội phản nghịch cùng một Chúa.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ, nếu con dâng lễ toàn thiêu, Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát; lạy Chúa, xin đừng chê tấm lòng tan nát khiêm cung."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta không muốn kẻ gian ác phải chết, nhưng muốn nó ăn năn trở lại và được sống”."},"gospel":{"excerpt":"Mt 9, 14–15","info":"“Khi tân lang ra đi, bấy giờ họ mới ăn chay”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu sang miền Gêsarênô, các môn đệ Gioan đến gặp Người mà hỏi: “Tại sao chúng tôi và những người biệt phái thì giữ chay, còn môn đệ của Ngài lại không?” Chúa Giêsu nói với họ: “Làm sao các khách dự tiệc cưới có thể buồn rầu khi tân lang đang còn ở với họ? Rồi sẽ có ngày tân lang ra đi, bấy giờ họ mới giữ chay”.","end":"Ðó là lời Chúa"}},
+        "3007": {"firstReading":{"excerpt":"Is 58, 9b-14","info":"“Ngươi hãy ca tụng Chúa khi ngươi bỏ đường lối của ngươi”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán: “Nếu ngươi loại bỏ ra khỏi tâm hồn sự đàn áp, cử chỉ đe dọa và những lời nói hiểm độc; khi ngươi hết lòng quảng đại với người đói khát, làm cho tâm hồn đau khổ được thư thái, thì sự sáng của ngươi xuất hiện trong tối tăm và tối tăm sẽ trở nên như giữa ban ngày. Và Thiên Chúa sẽ luôn luôn ban cho ngươi được thảnh thơi, cho tâm hồn ngươi tràn ngập ánh sáng huy hoàng, cho xương cốt ngươi được mạnh mẽ, và ngươi sẽ như cánh vườn xinh tươi, như nguồn suối nước không bao giờ khô cạn. Nhờ ngươi, những điêu tàn ngày xưa sẽ được tái thiết, ngươi sẽ gầy dựng lại nền tảng dòng dõi ngươi. Thiên hạ sẽ gọi ngươi là “kẻ tu bổ những chỗ sứt mẻ, kẻ tu bổ lại đường lối nơi cư ngụ”.\r“Nếu ngươi không tự tiện đi đường xa trong ngày Sabbat là ngày thánh, và ngươi coi ngày Sabbat là ngày hạnh phúc, ngày thánh, ngày hiển vinh của Thiên Chúa; nếu ngươi bỏ công ăn việc làm và những cuộc bàn tính mưu lợi mà ca tụng Chúa, thì ngươi sẽ được hoan lạc nơi Thiên Chúa, và Ta sẽ đưa ngươi lên làm chủ các núi đồi, Ta cho ngươi thừa hưởng gia nghiệp của Giacóp, tổ phụ ngươi, vì chính Chúa đã phán”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 85, 1-2. 3-4. 5-6","response":"Ðáp: Lạy Chúa, xin dạy con đường lối Chúa, để con sống theo chân lý của Ngài","verses":["Xướng: Lạy Chúa, xin ghé tai, xin nhậm lời con, vì con đau khổ và cơ bần. Xin bảo toàn mạng sống con vì con hiếu thảo với Ngài, xin cứu vớt người bầy tôi đang cậy trông vào Chúa.","Xướng: Ngài là Thiên Chúa của con, xin thương con, lạy Chúa, vì con ân cần kêu van Ngài. Nguyện cho bầy tôi Chúa được hân hoan, vì lạy Chúa, con vươn hồn lên tới Chúa.","Xướng: Lạy Chúa, vì Chúa nhân hậu và khoan dung, giàu lượng từ bi với những ai kêu cầu Chúa. Lạy Chúa, xin nghe lời con khẩn nguyện, và quan tâm đến tiếng con van nài."]},"alleluia":{"verse":":","content":"Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra."},"gospel":{"excerpt":"Lc 5, 27-32","info":"“Ta không đến kêu mời người công chính, nhưng để gọi kẻ tội lỗi ăn năn hối cải”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu trông thấy một người quan thuế tên là Lêvi đang ngồi ở bàn thu thuế, Ngài bảo ông: “Hãy đi theo Ta”. Ông liền bỏ mọi sự đứng dậy theo Người. Lêvi đã dọn một bữa tiệc linh đình thết đãi Người tại nhà ông. Có đông người thu thuế và nhiều người khác cùng ngồi ăn với các ngài. Những người biệt phái và các luật sĩ của họ lẩm bẩm với các môn đệ của Người rằng: “Sao các người lại ăn uống với những người thu thuế và tội lỗi như vậy?” Chúa Giêsu trả lời họ rằng: “Những ai mạnh khoẻ không cần tới thầy thuốc, chỉ những người đau yếu mới cần thôi. Ta đến không phải để kêu mời người công chính, nhưng để gọi kẻ tội lỗi ăn năn hối cải”.","end":"Ðó là lời Chúa"}},
+        "3011": {"firstReading":{"excerpt":"Lv 19, 1-2. 11-18","info":"“Hãy xét đoán công minh đối với kẻ khác”.","title":"Trích sách Lêvi.","content":"Chúa phán cùng Môsê rằng: “Ngươi hãy nói cho toàn thể cộng đồng con cái Israel: Các ngươi hãy nên thánh, vì Ta là Ðấng Thánh, là Thiên Chúa các ngươi. Các ngươi đừng trộm cắp, đừng nói dối, đừng phỉnh gạt kẻ khác, đừng lấy danh Ta mà thề dối, và đừng xúc phạm danh Thiên Chúa các ngươi. Ta là Chúa.\rCác ngươi đừng nhục mạ kẻ khác và đừng hà hiếp họ. Ðừng giam tiền công lại cho đến ngày mai. Ðừng nguyền rủa người điếc, đừng đặt trước kẻ mù vật gì có thể làm cho nó vấp ngã; nhưng các ngươi hãy kính sợ Chúa là Thiên Chúa các ngươi, vì Ta là Chúa.\rÐừng làm điều bất công, cũng đừng xét đoán bất công. Ðừng thiên tư kẻ nghèo, cũng đừng nể mặt người quyền thế. Hãy cứ công minh mà xét đoán kẻ khác. Ðừng lăng mạ, cũng đừng gièm pha kẻ khác. Ðừng mưu sát ai. Ta là Chúa.\rÐừng giữ lòng thù ghét anh em, nhưng hãy răn bảo họ công khai, để khỏi mang tội vì họ. Ðừng tìm báo oán, đừng nhớ lại lời mắng nhiếc của kẻ đồng hương. Hãy yêu thương bạn hữu như chính mình. Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 15","response":"Ðáp: Lạy Chúa, lời Chúa là thần trí và là sự sống","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chính trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thật, công minh hết thảy.","Xướng: Xin Chúa nhậm những lời miệng con công bố, và sự lòng con suy gẫm trước thiên nhan, lạy Chúa là Ðá tảng, là Ðấng Cứu Chuộc con."]},"alleluia":{"verse":": Tv 50, 12a và 14a","content":"Ôi lạy Chúa, xin tạo cho con quả tim trong sạch. Xin ban lại cho con niềm vui ơn cứu độ."},"gospel":{"excerpt":"Mt 25, 31-46","info":"“Những gì các ngươi làm cho một trong các anh em bé mọn nhất của Ta đây, là các ngươi đã làm cho chính Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Khi Con Người đến trong vinh quang, có hết thảy mọi thiên thần hầu cận, Người sẽ ngự trên ngai uy linh của Người. Muôn dân sẽ được tập họp lại trước mặt Người, và Người sẽ phân chia họ ra, như mục tử tách chiên ra khỏi dê. Chiên thì Người cho đứng bên phải, còn dê ở bên trái. Bấy giờ Vua sẽ phán với những người bên hữu rằng: “Hãy đến, hỡi những kẻ Cha Ta chúc phúc, hãy lãnh lấy phần gia nghiệp là Nước Trời đã chuẩn bị cho các ngươi từ khi tạo dựng vũ trụ. Vì xưa Ta đói, các ngươi đã cho ăn; Ta khát, các ngươi đã cho uống; Ta là khách lạ, các ngươi đã tiếp rước; Ta mình trần, các ngươi đã cho mặc; Ta đau yếu, các ngươi đã viếng thăm; Ta bị tù đày, các ngươi đã đến với Ta”. Khi ấy người lành đáp lại rằng: “Lạy Chúa, có bao giờ chúng con thấy Chúa đói mà cho ăn, khát mà cho uống; có bao giờ chúng con thấy Chúa là lữ khách mà tiếp rước, mình trần mà cho mặc; có khi nào chúng con thấy Chúa yếu đau hay bị tù đày mà chúng con đến viếng Chúa đâu?” Vua đáp lại: “Quả thật, Ta bảo các ngươi: Những gì các ngươi đã làm cho một trong các anh em bé mọn nhất của Ta đây, là các ngươi đã làm cho chính Ta”.\r“Rồi Người cũng sẽ nói với những kẻ bên trái rằng: “Hỡi phường bị chúc dữ, hãy lui khỏi mặt Ta mà vào lửa muôn đời đã đốt sẵn cho ma quỷ và kẻ theo chúng. Vì xưa Ta đói, các ngươi không cho ăn; Ta khát, các ngươi không cho uống; Ta là khách lạ, các ngươi chẳng tiếp rước; Ta mình trần, các ngươi không cho đồ mặc; Ta đau yếu và ở tù, các ngươi đâu có viếng thăm Ta!” Bấy giờ họ cũng đáp lại rằng: “Lạy Chúa, có bao giờ chúng con đã thấy Chúa đói khát, khách lạ hay mình trần, yếu đau hay ở tù, mà chúng con chẳng giúp đỡ Chúa đâu?” Khi ấy Người đáp lại: “Quả thật, Ta bảo cho các ngươi biết, những gì các ngươi đã không làm cho một trong các anh em bé mọn nhất của Ta đây, là các ngươi đã không làm cho chính Ta”. Những kẻ ấy sẽ phải tống vào chốn cực hình muôn thuở, còn các người lành thì được vào cõi sống ngàn thu”.","end":"Ðó là lời Chúa"}},
+        "3012": {"firstReading":{"excerpt":"Is 55, 10-11","info":"“Lời Ta thực hiện điều Ta mong muốn”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán: “Như mưa tuyết từ trời rơi xuống và không trở lên trời nữa, nhưng chúng thấm xuống đất, làm cho đất phì nhiêu, cây cối sinh mầm, cho người gieo có hạt giống, cho người ta có cơm bánh ăn, cũng thế, lời từ miệng Ta phán ra sẽ không trở lại với Ta mà không sinh kết quả, nhưng nó thực hiện ý muốn của Ta, và làm tròn sứ mạng Ta uỷ thác”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 4-5. 6-7. 16-17. 18-19","response":"Ðáp: Chúa cứu người hiền đức khỏi mọi nỗi âu lo","verses":["Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Chúa để mắt coi người hiền đức, và tai Người lắng nghe tiếng họ cầu. Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần ai.","Xướng: Người hiền đức kêu cầu và Chúa nghe lời họ, Người cứu họ khỏi mọi nỗi âu lo. Chúa gần gũi những kẻ đoạn trường, và cứu chữa những tâm hồn đau thương dập nát."]},"alleluia":{"verse":":","content":"Chúa phán: “Hãy hối cải, vì nước trời đã gần đến”."},"gospel":{"excerpt":"Mt 6, 7-15","info":"“Vậy các ngươi hãy cầu nguyện như thế này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\r","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Khi cầu nguyện, các con đừng nhiều lời như dân ngoại: họ nghĩ là phải nói nhiều mới được chấp nhận. Ðừng làm như họ, vì Cha các con biết rõ điều các con cần, ngay cả trước khi các con xin. Vậy các con hãy cầu nguyện như thế này:\r“Lạy Cha chúng con ở trên trời, chúng con nguyện danh Cha cả sáng, nước Cha trị đến, ý Cha thể hiện dưới đất cũng như trên trời. Xin Cha cho chúng con hôm nay lương thực hằng ngày, và tha nợ chúng con, như chúng con cũng tha kẻ có nợ chúng con, xin chớ đến chúng con sa chước cám dỗ, nhưng cứu chúng con cho khỏi sự dữ. Amen.\r“Vì nếu các con có tha thứ cho người ta những lầm lỗi của họ, thì Cha các con, Ðấng ngự trên trời, mới tha thứ cho các con. Nếu các con không tha thứ cho người ta, thì Cha các con cũng chẳng tha thứ lỗi lầm cho các con”.","end":"Ðó là lời Chúa"}},
+        "3013": {"firstReading":{"excerpt":"Gn 3, 1-10","info":"“Dân thành Ni-ni-vê đã bỏ đàng tội lỗi”.","title":"Trích sách Tiên tri Giô-na.","content":"Lời Chúa phán cùng Giona rằng: “Hãy chỗi dậy và đi đến Ni-ni-vê, một thành phố lớn, và rao giảng cho nó điều Ta sẽ nói cho ngươi”. Giô-na chỗi dậy và đi đến Ni-ni-vê theo lời Chúa dạy. Ni-ni-vê là một thành phố lớn, rộng bằng ba ngày đàng. Giô-na tiến vào thành phố, đi một ngày đàng, rồi rao giảng rằng: “Còn bốn mươi ngày nữa, Ni-ni-vê sẽ bị phá huỷ”. Dân thành tin tưởng nơi Chúa; họ công bố việc ăn chay và mặc áo nhặm, từ người lớn đến trẻ nhỏ.\rVua thành Ni-ni-vê nghe điều đó, liền bỏ ngai vàng, cởi áo cẩm bào, mặc áo nhặm và ngồi trên đống tro. Trong thành Ni-ni-vê, người ta rao sắc lệnh sau đây của nhà vua và các vương hầu: “Người, vật, bò, chiên, không được nếm, không được ăn uống gì hết; người và vật phải mặc áo nhặm, phải kêu to lên cùng Chúa và phải cải thiện đời sống, phải bỏ đàng tội lỗi và những điều bất chính đã phạm. Biết đâu Chúa sẽ đổi ý thứ tha, nguôi giận và chúng ta khỏi chết?” Chúa thấy việc họ làm, vì họ bỏ đời sống xấu xa, Chúa đổi ý định phạt họ, và Người không thực hiện điều đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 12-13. 18-19","response":"Ðáp: Lạy Chúa, xin đừng chê tấm lòng tan nát, khiêm cung","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ, nếu con dâng lễ toàn thiêu, Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát, lạy Chúa, xin đừng chê tấm lòng tan nát, khiêm cung."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta là sự sáng thế gian. Ai theo Ta, sẽ được ánh sáng ban sự sống”."},"gospel":{"excerpt":"Lc 11, 29-32","info":"“Không ban cho dòng giống này điềm lạ nào ngoài điềm lạ của tiên tri Giona”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, thấy dân chúng từng đoàn lũ tụ tập lại, Chúa Giê-su phán rằng: “Dòng giống này là dòng giống gian ác. Chúng đòi điềm lạ, nhưng sẽ không ban cho chúng điềm lạ nào, ngoài điềm lạ của tiên tri Giô-na. Vì Giô-na đã nên điềm lạ cho dân thành Ni-ni-vê thế nào, thì Con Người cũng sẽ là điềm lạ cho dòng giống này như vậy. Ðến ngày phán xét, nữ hoàng phương nam sẽ đứng lên tố cáo và lên án dòng giống này, vì bà đã từ tận cùng trái đất mà đến nghe sự khôn ngoan của Sa-lô-môn. Nhưng ở đây còn có người hơn Sa-lô-môn. Dân thành Ni-ni-vê cũng sẽ đứng lên tố cáo và lên án dòng giống này, vì họ đã sám hối theo lời Giô-na giảng, nhưng ở đây còn có người hơn Giô-na nữa”.","end":"Ðó là lời Chúa"}},
+        "3014": {"firstReading":{"excerpt":"Est 14, 1. 3-5. 12-14","info":"“Lạy Chúa, con không có sự trợ giúp nào khác ngoài Chúa”.","title":"Trích sách Ét-te.","content":"Trong những ngày ấy, nữ hoàng Ét-te kinh hoàng vì lâm nguy, nên tìm nương tựa nơi Chúa. Bà nài xin Chúa là Thiên Chúa Israel rằng: “Lạy Chúa con, chỉ mình Chúa là Vua chúng con, xin cứu giúp con đang sống cô độc, ngoài Chúa không có ai khác giúp đỡ con. Con đang lâm cơn nguy biến. Lạy Chúa, con nghe cha con nói rằng Chúa ưu đãi Ít-ra-en hơn mọi dân tộc, ưu đãi cha ông chúng con hơn bậc tiền bối của các ngài, đã nhận các ngài làm phần cơ nghiệp muôn đời và đã thực thi lời hứa với các ngài.\r“Lạy Chúa, xin hãy nhớ (đến chúng con) và hãy tỏ mình ra cho chúng con trong cơn gian truân của chúng con. Lạy Chúa là Vua các thần minh và mọi bậc quyền bính, xin ban cho con lòng tin tưởng. Xin đặt trong miệng con những lời khôn khéo trước mặt sư tử, xin Chúa đổi lòng sư tử để nó ghét kẻ thù của chúng con, để kẻ thù ấy và những ai đồng loã với hắn sẽ phải chết. Nhưng phần chúng con, thì xin Chúa ra tay giải thoát chúng con và phù trợ con, vì lạy Chúa, ngoài Chúa là Ðấng thông suốt mọi sự, không ai giúp đỡ con”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 7c-8","response":"Ðáp: Lạy Chúa, khi con kêu cầu, Chúa đã nhậm lời con","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, vì Chúa đã nghe lời miệng con xin; trước mặt các Thiên Thần, con đàn ca mừng Chúa, con sấp mình thờ lạy bên thánh điện Ngài.","Xướng: Và con sẽ ca tụng uy danh Chúa, vì lòng nhân hậu và trung thành của Chúa. Khi con kêu cầu, Chúa đã nhậm lời con, Chúa đã ban cho tâm hồn con nhiều sức mạnh.","Xướng: Tay hữu Chúa khiến con được sống an lành. Chúa sẽ hoàn tất cho con những điều đã khởi sự, lạy Chúa, lòng nhân hậu Chúa tồn tại muôn đời, xin đừng bỏ rơi công cuộc tay Chúa."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta là sự sống lại và là sự sống; ai tin Ta, sẽ không chết đời đời”."},"gospel":{"excerpt":"Mt 7, 7-12","info":"“Ai xin thì sẽ nhận được”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Hãy xin thì sẽ được, hãy tìm thì sẽ gặp, hãy gõ cửa thì sẽ mở cho. Vì bất cứ ai xin thì sẽ nhận được, ai tìm thì sẽ gặp, ai gõ cửa sẽ mở cho. Nào ai trong các con thấy con mình xin bánh, mà lại đưa cho nó hòn đá ư? Hay là nó xin con cá mà lại trao cho nó con rắn ư? Vậy nếu các con, dù là kẻ xấu, còn biết lấy của tốt mà cho con cái, thì huống chi Cha các con, Ðấng ở trên trời, sẽ ban những sự lành biết bao cho kẻ cầu khẩn Người!\r“Vậy tất cả những gì các con muốn người ta làm cho mình, thì chính các con hãy làm cho người ta như thế: Ðấy là điều mà Lề luật và các tiên tri dạy”.","end":"Ðó là lời Chúa"}},
+        "3015": {"firstReading":{"excerpt":"Ed 18, 21-28","info":"“Có phải Ta muốn kẻ gian ác phải chết, chớ không muốn nó bỏ đàng tội lỗi và được sống ư?”","title":"Trích sách Tiên tri Ê-dê-ki-en.","content":"Ðây Chúa là Thiên Chúa phán: “Nếu kẻ gian ác ăn năn sám hối mọi tội nó đã phạm, tuân giữ mọi giới răn của Ta, và thực thi công bình chính trực, nó sẽ sống chớ không phải chết. Ta sẽ không nhớ lại mọi tội ác nó đã phạm: nó sẽ sống nhờ việc công chính mà nó đã thực hành! Chúa là Thiên Chúa phán: “Có phải Ta muốn kẻ gian ác phải chết, chớ không muốn nó bỏ đàng tội lỗi và được sống ư?\rCòn nếu kẻ công chính bỏ đàng công chính, và phạm tội ác cách ghê tởm như người gian ác quen phạm, có phải nó được sống ư? Chẳng ai còn nhớ đến mọi việc công chính nó đã thực hiện, vì sự bất trung nó đã làm và tội lỗi nó đã phạm, nó sẽ phải chết.\rCác ngươi nói rằng: “Ðường lối của Chúa không chính trực”. Vậy hỡi nhà Ít-ra-en, hãy nghe đây: Có phải đường lối của Ta không chính trực ư? Hay trái lại đường lối của các ngươi không chính trực? Khi người công chính từ bỏ lẽ công chính và phạm tội ác, nó phải chết, chính vì tội ác nó phạm mà nó phải chết. Nếu kẻ gian ác bỏ đàng gian ác nó đã đi, và thực thi công bình chính trực, nó sẽ được sống. Nếu nó suy nghĩ và từ bỏ mọi tội ác nó đã phạm, nó sẽ sống chớ không phải chết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 4c-6. 7-8","response":"Ðáp: Nếu Chúa con nhớ hoài sự lỗi, lạy Chúa, nào ai chịu nổi được ư?","verses":["Xướng: Từ vực sâu, lạy Chúa, con kêu lên Chúa. Lạy Chúa, xin nghe tiếng con cầu; dám xin Chúa hãy lắng tai, hầu nghe thấu tiếng van nài của con. .","Xướng: Nếu Chúa con nhớ hoài sự lỗi, lạy Chúa, nào ai chịu nổi được ư? Nhưng Chúa thường rộng lượng thứ tha, để cho thiên hạ tôn thờ kính yêu.","Xướng:Tôi hy vọng rất nhiều vào Chúa, linh hồn tôi trông cậy ở lời Ngài. Linh hồn tôi mong đợi Chúa tôi, hơn người lính gác mong trời rạng đông.","Xướng: Hơn lính gác mong hừng đông dậy, Ít-ra-en đang mong đợi Chúa tôi: Bởi vì Chúa rộng lượng từ bi, và Chúa rất giàu ơn cứu độ. Và chính Ngài sẽ giải thoát Ít-ra-en cho khỏi mọi điều gian ác."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta là sự sống lại và là sự sống; ai tin Ta, sẽ không chết đời đời”."},"gospel":{"excerpt":"Mt 5, 20-26","info":"“Hãy đi làm hòa với người anh em ngươi trước đã”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Nếu các con không công chính hơn các luật sĩ và biệt phái, thì các con chẳng được vào Nước Trời đâu. Các con đã nghe dạy người xưa rằng: Không được giết người. Ai giết người, sẽ bị luận phạt nơi tòa án. Còn Ta, Ta bảo các con: Bất cứ ai phẫn nộ với anh em mình, thì sẽ bị tòa án luận phạt. Ai bảo anh em là “ngốc”, thì bị phạt trước công nghị. Ai rủa anh em là “khùng”, thì sẽ bị vạ lửa địa ngục. Nếu con đang dâng của lễ nơi bàn thờ mà sực nhớ người anh em đang có điều bất bình với con, thì con hãy để của lễ lại trước bàn thờ, đi làm hòa với người anh em con trước đã, rồi hãy trở lại dâng của lễ. Hãy liệu làm hòa với kẻ thù ngay lúc còn đi dọc đường với nó, kẻo kẻ thù sẽ đưa con ra trước mặt quan tòa, quan tòa lại trao con cho tên lính canh và con sẽ bị tống ngục. Ta bảo thật cho con biết: Con sẽ không thoát khỏi nơi ấy cho đến khi trả hết đồng bạc cuối cùng!”","end":"Ðó là lời Chúa"}},
+        "3016": {"firstReading":{"excerpt":"Ðnl 26, 16-19","info":"“Ðể ngươi trở thành dân thánh của Chúa là Thiên Chúa ngươi”.","title":"Trích sách Ðệ Nhị Luật.","content":"Mô-sê đã nói với dân chúng rằng: “Hôm nay Chúa là Thiên Chúa truyền lệnh cho ngươi phải thi hành các lề luật và các huấn lệnh này; ngươi phải tuân giữ và thực thi các điều đó hết lòng và hết tâm hồn. Hôm nay ngươi đã chọn Chúa làm Thiên Chúa, thì hãy bước đi trong đường lối Người, tuân giữ các lề luật, giới răn và huấn lệnh của Người; hãy vâng lệnh Người. Hôm nay Chúa đã chọn ngươi làm dân riêng Chúa, như Người đã phán với ngươi, thì ngươi hãy tuân giữ mọi giới răn của Người. Người sẽ làm cho ngươi được vinh quang, thanh danh và huy hoàng hơn mọi dân tộc Người đã tạo dựng, để ngươi trở thành dân thánh của Chúa là Thiên Chúa ngươi, như Người đã phán”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 1-2. 4-5. 7-8","response":"Ðáp: Phúc cho những ai tiến thân trong Luật pháp của Chúa","verses":["Xướng: Phúc cho những ai theo đường lối tinh toàn, họ tiến thân trong Luật pháp của Chúa. Phúc cho những ai giữ lời Ngài nghiêm huấn, những người đó tận tâm kiếm tìm Ngài.","Xướng: Phần Chúa, Ngài ban bố những huấn lệnh, cốt để người ta tuân giữ hết sức ân cần. Nguyện cho đường lối của con vững chắc, để tuân giữ các thánh chỉ của Ngài.","Xướng: Con ca tụng Chúa với lòng đoan chính, khi học hỏi những thánh dụ của Ngài. Thánh chỉ của Chúa, con tuân giữ, xin Chúa đừng triệt để bỏ rơi con!"]},"alleluia":{"verse":":","content":"Các ngươi hãy tìm điều lành, chớ đừng tìm điều dữ, để các ngươi được sống và Chúa sẽ ở cùng các ngươi."},"gospel":{"excerpt":"Mt 5, 43-48","info":"“Các ngươi hãy nên trọn lành như Cha các ngươi trên trời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa phán cùng các môn đệ rằng: “Các con đã nghe dạy: Ngươi hãy yêu thân nhân, và hãy thù ghét địch thù. Còn Ta, Ta bảo các con: Hãy yêu thương thù địch và làm ơn cho những kẻ ghét các con; hãy cầu nguyện cho những ai bắt bớ và nguyền rủa các con, để như vậy các con nên con cái của Cha các con, Ðấng ngự trên trời: Người khiến mặt trời mọc lên cho người lành kẻ dữ, và cho mưa xuống trên người liêm khiết và kẻ bất lương. Vì nếu các con yêu thương những ai mến trọng các con, thì các con được công phúc gì? Các người thu thuế không làm như thế ư? Nếu các con chỉ chào hỏi anh em mình thôi, thì các con đâu có làm chi hơn? Những người ngoại giáo không làm thế ư? Vậy các con hãy nên hoàn hảo như Cha các con trên trời là Ðấng hoàn hảo”.","end":"Ðó là lời Chúa"}},
+        "3021": {"firstReading":{"excerpt":"Ðn 9, 4b-10","info":"“Chúng con đã phạm tội và đã làm điều gian ác”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Lạy Chúa là Thiên Chúa cao cả và đáng kính sợ, Ðấng giữ lời giao ước và lòng từ bi đối với những ai kính mến Người và tuân giữ những giới răn của Người. Chúng con đã phạm tội và làm điều gian ác; chúng con đã bỏ các giới răn và lề luật Chúa. Chúng con đã không nghe lời các tiên tri tôi tớ Chúa, những người đã nhân danh Chúa nói với các vua chúa, thủ lãnh, cha ông và toàn dân trong xứ chúng con. Lạy Chúa, sự công chính thuộc về Chúa, còn phần chúng con là phải chịu hổ mặt như ngày hôm nay, chúng con là những người thuộc dòng dõi Giu-đa, những dân cư ở Giê-ru-sa-lem, toàn dân Israel, những kẻ gần xa, sống trong mọi nước mà Chúa đã phân tán họ tới đó, vì tội ác mà họ đã phạm nghịch cùng Chúa. Lạy Chúa, điều dành cho chúng con, các vua chúa, thủ lãnh, cha ông chúng con là phải chịu hổ mặt, vì đã phạm tội. Lòng từ bi và tha thứ thuộc về Chúa là Thiên Chúa chúng con, vì chúng con phản bội cùng Chúa. Chúng con đã không vâng theo tiếng Chúa là Thiên Chúa chúng con, để sống theo lề luật mà Chúa đã dùng các tiên tri, tôi tớ Chúa, rao giảng cho chúng con.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 78, 8. 9. 11 và 13","response":"Ðáp: Lạy Chúa, xin đừng xử với chúng con như chúng con đáng tội","verses":["Xướng: Xin đừng nhớ lỗi tiền nhân để trị chúng con; xin kíp mở lòng từ bi đón nhận chúng con, vì chúng con lầm than quá đỗi!","Xướng: Ôi Thiên Chúa, Ðấng cứu độ chúng con, xin phù trợ chúng con vì vinh quang danh Chúa; xin giải thoát và tha tội chúng con vì danh Ngài.","Xướng: Xin cho tiếng tù binh rên siết vọng tới thiên nhan; xin ra tay thần lực giải thoát người mang án tử. Phần chúng con là thần dân Chúa, là đoàn chiên Chúa chăn nuôi, chúng con sẽ ca tụng Chúa tới muôn đời; đời nọ sang đời kia, chúng con loan truyền lời ca khen Chúa."]},"alleluia":{"verse":":","content":"Thiên Chúa đã yêu thương thế gian đến nỗi ban Con Một của Người; mọi kẻ tin Ngài, thì được sống đời đời."},"gospel":{"excerpt":"Lc 6, 36-38","info":"“Hãy tha thứ thì các con sẽ được thứ tha”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Các con hãy ở nhân từ như Cha các con là Ðấng nhân từ. Ðừng xét đoán thì các con khỏi bị xét đoán; đừng kết án thì các con khỏi bị kết án. Hãy tha thứ, thì các con sẽ được tha thứ. Hãy cho thì sẽ cho lại các con: Người ta sẽ lấy đấu hảo hạng, đã dằn, đã lắc và đầy tràn mà đổ vào vạt áo các con. Vì các con đong bằng đấu nào, thì cũng được đong trả lại bằng đấu ấy!”","end":"Ðó là lời Chúa"}},
+        "3022": {"firstReading":{"excerpt":"Is 1, 10. 16-20","info":"“Các ngươi hãy học làm điều lành và tìm kiếm công lý”.","title":"Trích sách Tiên tri I-sai-a.","content":"Hỡi các Thủ lãnh thành Sô-đô-ma, hãy nghe lời Chúa; hỡi dân thành Gô-mô-ra, hãy lắng nghe lề luật của Thiên Chúa chúng ta. Các ngươi hãy tắm rửa, hãy thanh tẩy, đừng làm điều xấu nữa, hãy làm điều lành; hãy tìm kiếm công lý, hãy cứu giúp kẻ bị áp bức, hãy xét xử công bằng cho những trẻ mồ côi và bênh vực người góa bụa.\rVà Chúa phán: “Các ngươi hãy đến và đối chất với Ta: cho dầu tội lỗi các ngươi như màu đỏ thắm, cũng sẽ trở nên trắng như tuyết; cho dầu đỏ như vải điều, cũng sẽ trở nên trắng như len. Nếu các ngươi quyết tâm nghe Ta, các ngươi sẽ hưởng hoa màu ruộng đất; nhưng nếu các ngươi cố chấp không nghe và khiêu khích Ta, thì lưỡi gươm sẽ tiêu diệt các ngươi, vì miệng Chúa phán như thế”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 8-9. 16bc-17. 21 và 23","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ","verses":["Xướng: Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn. Ta không nhận từ nhà ngươi một con bò non, cũng không nhận từ đoàn chiên ngươi những con dê đực.","Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta, ngươi là kẻ không ưa lời giáo huấn, và ném bỏ lời Ta lại sau lưng?","Xướng: Ngươi làm thế, mà Ta đành yên lặng? Ngươi đã tưởng rằng Ta giống như ngươi? Ta sẽ bắt lỗi, sẽ phơi bày trước mặt ngươi tất cả. Ai hiến dâng lời khen ngợi, người đó trọng kính Ta; ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ."]},"alleluia":{"verse":":","content":"Lạy Chúa, lời của Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời."},"gospel":{"excerpt":"Mt 23, 1-12","info":"“Họ nói mà không làm”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng và các môn đệ rằng: “Các Luật sĩ và các người biệt phái ngồi trên tòa Mô-sê: vậy những gì họ nói với các ngươi, hãy làm và tuân giữ, nhưng đừng noi theo hành vi của họ, vì họ nói mà không làm. Họ buộc những bó nặng và chất lên vai người ta, còn chính họ lại không muốn giơ ngón tay lay thử. Mọi công việc họ làm đều có ý cho người ta thấy, vì thế họ nới rộng thẻ Kinh, may dài tua áo. Họ muốn được chỗ nhất trong đám tiệc và ghế đầu trong hội đường, ưa được bái chào nơi đường phố và được người ta xưng hô là “thầy”. Phần các ngươi, các ngươi đừng muốn được người ta gọi là thầy, vì các ngươi chỉ có một Thầy, còn tất cả các ngươi đều là anh em với nhau. Và các ngươi cũng đừng gọi ai dưới đất là cha, vì các ngươi chỉ có một Cha, Người ngự trên trời. Các ngươi cũng đừng bắt người ta gọi là người chỉ đạo, vì các ngươi có một người chỉ đạo, đó là Ðức Ki-tô. Trong các ngươi ai quyền thế hơn sẽ là người phục vụ các ngươi. Hễ ai tự nhắc mình lên, sẽ bị hạ xuống, và ai tự hạ mình xuống, sẽ được nâng lên”.","end":"Ðó là lời Chúa"}},
+        "3023": {"firstReading":{"excerpt":"Gr 18, 18-20","info":"“Hãy đến, và chúng ta hành hạ nó”.","title":"Trích sách Tiên tri Giê-rê-mi-a.","content":"Thiên hạ nói rằng: “Các ngươi hãy đến và chúng ta tìm cách chống lại Giê-rê-mi-a: vì tư tế không thiếu lề luật, người khôn ngoan không thiếu lời chỉ bảo, tiên tri không thiếu lời giảng dạy! Hãy đến, chúng ta hãy dùng lời nói mà tố cáo nó và đừng để ý đến các lời nó dạy”.\rLạy Chúa, xin lưu tâm đến con, và nghe tiếng quân thù của con! Làm lành mà phải gặp dữ sao, vì họ đào lỗ chôn con? Xin Chúa hãy nhớ lại con đã đứng trước nhan thánh Chúa để biện hộ cho họ, Chúa đã nguôi giận họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 5-6. 14. 15-16","response":"Ðáp: Lạy Chúa, xin cứu sống con theo lượng từ bi của Chúa","verses":["Xướng: Chúa dẫn con xa lưới dò chúng ngầm trương ra để hại con, vì Ngài là chỗ con nương náu. Con phó thác tâm hồn trong tay Chúa; lạy Chúa, lạy Thiên Chúa trung thành, xin cứu chữa con..","Xướng: Con đã nghe thấy lũ đông bàn tán, nỗi sợ sệt gieo nặng khắp đôi nơi; cùng một lúc, chúng tụ họp phản đối con; chúng đã âm mưu sát hại mạng con.","Xướng: Phần con, lạy Chúa, con tin cậy ở Ngài, con kêu lên: Ngài là Thiên Chúa của con! Vận mạng con ở trong tay Ngài, xin cứu gỡ con khỏi tay quân thù và những người bách hại."]},"alleluia":{"verse":":","content":"Chúa phán: “Vậy từ đây các ngươi hãy thật lòng quay về với Ta, vì Ta nhân hậu và từ bi”."},"gospel":{"excerpt":"Mt 20, 17-28","info":"“Họ đã lên án tử cho Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giêsu đi lên Giê-ru-sa-lem, đem riêng mười hai môn đệ đi theo. Dọc đường, Người nói với họ: “Này chúng ta lên Giê-ru-sa-lem và Con Người sẽ bị nộp cho các vị thượng tế và luật sĩ. Người ta sẽ lên án tử cho Người, sẽ nộp Người cho dân ngoại để chúng nhạo báng, đánh đòn, rồi treo Người lên thập giá, nhưng đến ngày thứ ba, Người sẽ sống lại”.\rBấy giờ bà mẹ các con ông Giê-bê-đê cùng với hai con đến gặp Người. Bà sấp mình xuống lạy Người, có ý xin Người điều chi đó. Người hỏi: “Bà muốn gì”. Bà ta thưa lại: “Xin Ngài hãy truyền cho hai con tôi đây được ngồi một đứa bên hữu, một đứa bên tả Ngài, trong Nước Ngài”. Chúa Giê-su đáp lại: “Các ngươi không biết điều các ngươi xin. Các ngươi có thể uống chén mà ít nữa đây Ta sắp uống chăng?” Họ nói với Người: “Thưa được”. Người bảo họ: “Vậy các ngươi sẽ uống chén của Ta, còn việc ngồi bên hữu hay bên tả, thì không thuộc quyền Ta ban, nhưng Cha Ta đã chuẩn bị cho ai, thì người ấy mới được”. Nghe vậy, mười người kia tỏ ra bất bình với hai anh em: Chúa Giê-su gọi họ lại mà bảo: “Các con biết thủ lãnh của các dân tộc thì thống trị họ và những người làm lớn thì hành quyền trên họ. Giữa các con thì không được thế. Trong các con, ai muốn làm lớn, thì hãy phục vụ các con, và ai muốn cầm đầu trong các con, thì hãy làm tôi tớ các con. Cũng như Con Người đến không phải để được người ta phục vụ, nhưng để phục vụ và phó mạng sống làm giá chuộc cho nhiều người”.","end":"Ðó là lời Chúa"}},
+        "3024": {"firstReading":{"excerpt":"Gr 17, 5-10","info":"“Khốn thay cho kẻ tin tưởng người đời; phúc thay cho người tin tưởng vào Thiên Chúa”.","title":"Trích sách Tiên tri Giê-rê-mi-a.","content":"Ðây Chúa phán: “Khốn thay cho kẻ tin tưởng người đời, họ nương tựa vào sức mạnh con người, còn tâm hồn họ thì sống xa Chúa. Họ như cây cỏ trong hoang địa, không cảm thấy khi được hạnh phúc; họ ở những nơi khô cháy trong hoang địa, vùng đất mặn không người ở. Phúc thay cho người tin tưởng vào Thiên Chúa, và Chúa sẽ là niềm cậy trông của họ. Họ sẽ như cây trồng nơi bờ suối, cây đó đâm rễ vào nơi ẩm ướt, không sợ gì khi mùa hè đến, lá vẫn xanh tươi, không lo ngại gì khi nắng hạn mà vẫn sinh hoa kết quả luôn. Lòng người nham hiểm khôn dò, nào ai biết được? Còn Ta, Ta là Chúa, Ta thấu suốt tâm hồn và dò xét tâm can, trả công cho mỗi người tuỳ theo cách sống và hậu quả hành vi của họ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Phúc thay người đặt niềm tin cậy vào Chúa","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt..","Xướng: Kẻ gian ác không được như vậy; họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta không muốn kẻ gian ác phải chết, nhưng muốn nó ăn năn sám hối và được sống”."},"gospel":{"excerpt":"Lc 16, 19-31","info":"“Con đã được sự lành, còn Ladarô gặp toàn sự khốn khổ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng những người biệt phái rằng: “Có một nhà phú hộ kia vận toàn gấm vóc, lụa là, ngày ngày yến tiệc linh đình. Lại có một người hành khất tên là La-da-rô, nằm bên cổng nhà ông đó, mình đầy ghẻ chốc, ước được những mụn bánh từ bàn ăn rớt xuống để ăn cho đỡ đói, nhưng không ai thèm cho. Những con chó đến liếm ghẻ chốc của người ấy. Nhưng xảy ra là người hành khất đó chết và được các thiên thần đem lên nơi lòng Áp-ra-ham. Còn nhà phú hộ kia cũng chết và được đem chôn. Trong hoả ngục, phải chịu cực hình, nhà phú hộ ngước mắt lên thì thấy đằng xa có Áp-ra-ham và La-da-rô trong lòng Ngài, liền cất tiếng kêu la rằng:\r“Lạy Cha Áp-ra-ham, xin thương xót tôi và sai La-da-rô nhúng đầu ngón tay vào nước để làm mát lưỡi tôi, vì tôi phải quằn quại trong ngọn lửa này. Áp-ra-ham nói lại: “Hỡi con, suốt đời con, con được toàn sự lành, còn La-da-rô gặp toàn sự khốn khổ. Vậy bây giờ La-da-rô được an ủi ở chốn này, còn con thì chịu khốn khổ. Vả chăng, giữa các ngươi và chúng tôi đây đã có sẵn một vực thẳm, khiến những kẻ muốn tự đây qua đó, không thể qua được, cũng như không thể từ đó qua đây được”.\rNgười đó lại nói: “Ðã vậy, tôi nài xin cha sai La-da-rô đến nhà cha tôi, vì tôi còn năm người anh em nữa, để ông bảo họ, kẻo họ cũng phải sa vào chốn cực hình này”. Áp-ra-ham đáp rằng: “Chúng đã có Mô-sê và các tiên tri, chúng hãy nghe các Ngài”. Người đó thưa: “Không đâu, lạy Cha Áp-ra-ham! Nhưng nếu có ai trong kẻ chết về với họ, thì ắt họ sẽ hối cải”. Nhưng Áp-ra-ham bảo người ấy: “Nếu chúng không chịu nghe Mô-sê và các tiên tri, thì cho dù kẻ chết sống lại đi nữa, chúng cũng chẳng chịu nghe đâu”.","end":"Ðó là lời Chúa"}},
+        "3025": {"firstReading":{"excerpt":"St 37, 3-4. 12-13a. 17b-28","info":"“Này thằng chiêm bao đến kia rồi, anh em hãy lại đây, chúng ta bắt giết nó”.","title":"Trích sách Sáng Thế.","content":"Ít-ra-en mến thương Giu-se hơn mọi đứa con khác, vì ông sinh ra Giu-se trong lúc tuổi già. Ông may cho Giu-se một chiếc áo nhiều mầu. Các anh của Giu-se thấy cha mình thương Giu-se hơn mọi đứa con, nên sinh lòng ghen ghét và không thể nói chuyện thân mật với Giu-se.\rKhi các anh Giu-se đi chăn những đoàn chiên của cha mình tại Si-khem, thì Ít-ra-en nói với Giu-se: “Có phải các anh con đang chăn chiên ở Si-khem không? Con hãy lại đây, cha sai con đi tìm các anh con”.\rGiu-se đi tìm các anh mình và gặp các anh tại Ðô-than. Khi các anh thấy Giu-se từ đằng xa tiến lại gần, họ liền âm mưu tìm cách giết Giu-se. Họ nói với nhau rằng: “Này thằng chiêm bao đến kia rồi, anh em hãy lại đây, chúng ta bắt giết nó, ném xác nó xuống một cái giếng cạn và nói nó bị thú dữ ăn thịt, rồi xem các điềm chiêm bao của nó sẽ ra sao?”\rRưu-vên nghe nói thế, liền định cứu Giu-se khỏi tay anh em, nên nói rằng: “Chúng ta đừng giết nó, đừng làm đổ máu, song ném nó xuống giếng nơi hoang vu này, và như thế, tay các em không phải vấy máu”. Rưu-vên nói như thế, vì có ý muốn cứu Giu-se khỏi tay các anh em, để đem Giu-se về cho cha mình. Khi Giu-se vừa đến gần, các anh liền cởi áo dài Giu-se đang mặc, và bắt ném xuống giếng cạn.\rÐang khi các ông ngồi ăn bánh, thì thấy một đoàn người Ít-ma-ên từ Ga-la-át tiến về Ai-cập, các con lạc đà của họ chở đầy hương liệu, nhựa thơm và dầu thơm. Giu-đa nói với các anh em rằng: “Chúng ta giết em chúng ta và giấu máu nó đi, thì có ích lợi gì? Tốt hơn là chúng ta đem bán nó cho người Ít-ma-ên và tay chúng ta không phải vấy máu, vì Giu-se là em ruột thịt chúng ta”. Các anh em nghe theo lời Giu-đa, nên khi các người lái buôn từ Ma-đi-an đi ngang qua đó, các ông kéo Giu-se lên khỏi giếng và đem bán cho các người Ít-ma-ên với giá hai mươi đồng bạc, và họ dẫn Giu-se sang Ai-cập.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 16-17. 18-19. 20-21","response":"Ðáp: Các ngươi hãy nhớ lại những điều kỳ diệu Chúa đã làm","verses":["Xướng: Chúa đã gọi cảnh cơ hàn về trên đất nước, và rút đi mọi sự nâng đỡ bằng cơm bánh. Ngài đã sai một người đi trước họ: Giuse đã bị bán để làm nô lệ.","Xướng: Thiên hạ đã lấy xiềng để trói chân người, và cổ người bị cột bằng xích sắt, cho tới khi ứng nghiệm lời tiên đoán của người, lời của Chúa đã biện minh cho người.","Xướng:Vua đã sai cởi trói cho người, Chúa của chư dân cũng đã giải phóng người. Vua đã tôn người làm chủ của mình, và làm chúa trên toàn diện lãnh thổ."]},"alleluia":{"verse":":","content":"Hôm nay các ngươi đừng cứng lòng, nhưng hãy nghe lời Chúa phán."},"gospel":{"excerpt":"Mt 21, 33-43. 45-46","info":"“Ðứa con thừa tự kia rồi, nào anh em, chúng ta hãy giết nó”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các thượng tế và các kỳ lão trong dân rằng: “Các ông hãy nghe dụ ngôn này: Có ông chủ nhà kia trồng được một vườn nho. Ông rào dậu chung quanh, đào hầm ép rượu và xây tháp canh; đoạn ông cho tá điền thuê, rồi đi phương xa. Ðến mùa nho, ông sai đầy tớ đến nhà tá điền để thu phần hoa lợi. Nhưng những người làm vườn nho bắt các đầy tớ ông: đánh đứa này, giết đứa kia và ném đá đứa khác. Chủ lại sai một số đầy tớ khác đông hơn trước, nhưng họ cũng xử với chúng như vậy. Sau cùng chủ sai chính con trai mình đến với họ, vì nghĩ rằng: Họ sẽ kính nể con trai mình. Nhưng bọn làm vườn vừa thấy con trai ông chủ liền bảo nhau: “Ðứa con thừa tự kia rồi: Nào anh em! Chúng ta hãy giết nó đi và chiếm lấy gia tài của nó”. Rồi họ bắt cậu, lôi ra khỏi vườn nho mà giết. Vậy khi chủ về, ông sẽ xử trí với bọn họ thế nào? Các ông trả lời: “Ông sẽ tru diệt bọn hung ác đó và sẽ cho người khác thuê vườn nho để cứ mùa nộp phần hoa lợi”. Chúa Giê-su phán: “Các ông chưa bao giờ đọc thấy trong Kinh Thánh sao:\r“Chính viên đá bọn thợ loại ra, đã trở nên viên đá góc; đó là việc Chúa làm và là việc lạ lùng trước mắt chúng ta?” Bởi vậy, Ta bảo các ông: Nước Thiên Chúa sẽ cất khỏi các ông để trao cho dân tộc khác biết làm cho trổ sinh hoa trái”.\rCác Thượng tế và biệt phái nghe dụ ngôn đó, thì hiểu Người ám chỉ về mình. Họ liền tìm cách bắt Người, nhưng lại sợ dân chúng, vì thiên hạ đều tôn Người là Tiên tri.","end":"Ðó là lời Chúa"}},
+        "3026": {"firstReading":{"excerpt":"Mk 7, 14-15. 18-20","info":"“Chúa ném mọi tội lỗi chúng tôi xuống đáy biển”.","title":"Trích sách Tiên tri Mi-kha.","content":"Lạy Chúa, với cây trượng của Chúa, xin chăn dắt dân Chúa, chăn dắt những con chiên thuộc quyền sở hữu của Chúa, sống lẻ loi trong rừng, ở giữa núi Ca-mê-lô. Tất cả được chăn dắt ở Ba-san và Ga-la-át như ngày xưa. Như ngày ra khỏi Ai-cập, xin tỏ cho chúng con thấy những việc lạ lùng.\rCó Chúa nào giống như Chúa là Ðấng dẹp tan mọi bất công, và tha thứ mọi tội lỗi của kẻ sống sót thuộc về Chúa? Chúa không khư khư giữ mãi cơn thịnh nộ của mình, vì Chúa ưa thích lòng từ bi. Chúa còn thương xót chúng tôi, còn dày đạp những bất công của chúng tôi dưới chân Chúa, và ném mọi tội lỗi chúng tôi xuống đáy biển. Chúa ban cho Gia-cóp biết sự trung thành của Chúa và cho Áp-ra-ham biết lòng từ bi mà Chúa đã thề hứa với tổ phụ chúng tôi từ ngàn xưa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 9-10. 11-12","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân; Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Người không chấp tranh triệt để, cũng không đời đời giữ thế căm hờn. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa điều oan trái chúng tôi.","Xướng: Cũng như trời xanh cao vượt trên trái đất, lòng nhân Người còn siêu việt hơn thế trên kẻ kính sợ Người. Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi."]},"alleluia":{"verse":":","content":"Ðây là lúc thuận tiện, đây là ngày cứu độ."},"gospel":{"excerpt":"Lc 15, 1-3. 11-32","info":"“Em con đã chết nay sống lại”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Lu-ca.","content":"Khi ấy, những người thâu thuế và những người tội lỗi đến gần Chúa Giê-su để nghe Người giảng. Thấy vậy, những người biệt phái và luật sĩ lẩm bẩm rằng: “Ông này đón tiếp những kẻ tội lỗi và cùng ngồi ăn uống với chúng”. Bấy giờ Người phán bảo họ dụ ngôn này:\r“Người kia có hai con trai. Ðứa em đến thưa cha rằng: “Thưa cha, xin cha cho con phần gia tài thuộc về con”. Người cha liền chia gia tài cho các con. Ít ngày sau, người em thu nhặt tất cả tiền của mình trẩy đi miền xa và ở đó ăn chơi xa xỉ, phung phí hết tiền của. Khi nó tiêu hết tiền của, thì gặp nạn đói lớn trong miền đó và nó bắt đầu cảm thấy túng thiếu. Nó vào giúp việc cho một người trong miền, người này sai nó ra đồng chăn heo. Nó muốn ăn những đồ heo ăn cho đầy bụng, nhưng cũng không ai cho. Bấy giờ nó mới hồi tâm lại và tự nhủ: “Biết bao người làm công ở nhà cha tôi được ăn uống dư dật, còn tôi, tôi ở đây phải chết đói! Tôi muốn ra đi, trở về với cha tôi và thưa người rằng: “Lạy cha, con đã lỗi phạm đến Trời và đến cha; con không đáng được gọi là con cha nữa, xin cha đối xử với con như một người làm công của cha”. Vậy nó ra đi và trở về với cha nó. Khi nó còn ở đàng xa, cha nó chợt trông thấy, liền động lòng thương; ông chạy lại ôm choàng lấy cổ nó và hôn nó hồi lâu. Người con trai lúc đó thưa rằng: “Lạy cha, con đã lỗi phạm đến Trời và đến cha; con không đáng được gọi là con cha nữa”. Nhưng người cha bảo các đầy tớ: “Mau mang áo đẹp nhất ra đây và mặc cho cậu; hãy đeo nhẫn vào ngón tay cậu, và xỏ giầy vào chân cậu. Hãy bắt con bê béo làm thịt để chúng ta ăn mừng, vì con ta đây đã chết, nay sống lại, đã mất nay lại tìm thấy”. Và người ta bắt đầu ăn uống linh đình.\r“Người con cả đang ở ngoài đồng. Khi về gần đến nhà, nghe tiếng đàn hát và nhảy múa, anh gọi một tên đầy tớ để hỏi xem có chuyện gì. Tên đầy tớ nói: “Ðó là em cậu đã trở về và cha cậu đã giết con bê béo, vì thấy cậu ấy trở về mạnh khoẻ”. Anh liền nổi giận và quyết định không vào nhà. Cha anh ra xin anh vào, nhưng anh trả lời: “Cha coi, đã bao nhiêu năm con hầu hạ cha, không hề trái lệnh cha một điều nào, mà không bao giờ cha cho riêng con một con bê nhỏ để ăn mừng với chúng bạn; còn thằng con của cha kia, sau khi phung phí hết tài sản của cha với bọn điếm nay trở về, thì cha lại sai làm thịt con bê béo ăn mừng nó”. Nhưng người cha bảo: “Hỡi con, con luôn ở với cha, và mọi sự của cha đều là của con. Nhưng phải ăn tiệc và vui mừng, vì em con đã chết nay sống lại, đã mất nay lại tìm thấy”.","end":"Ðó là lời Chúa"}},
+        "3031": {"firstReading":{"excerpt":"2 V 5, 1-15a","info":"“Có nhiều người phong cùi trong Ít-ra-en, nhưng không có một người nào trong bọn họ được chữa lành, mà chỉ có Na-a-man, người Sy-ri-a”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong những ngày ấy, Na-a-man, tướng đạo binh của vua xứ Sy-ri-a, là người có uy thế đối với vua và được tôn trọng, vì Chúa đã dùng ông mà cứu dân Sy-ri-a; ông còn là người hùng mạnh và giàu có, nhưng lại mắc bịnh phong cùi. Lúc bấy giờ một vài toán dân Sy-ri-a bắt một thiếu nữ ở đất Ít-ra-en dẫn về để hầu hạ bà Na-a-man. Cô ta nói với bà chủ: “Chớ chi ông chủ tôi đến gặp vị tiên tri ở Sa-ma-ri-a, chắc chắn vị tiên tri ấy sẽ chữa ông khỏi phong cùi”. Na-a-man đến tâu vua rằng: “Cô nhỏ xứ Ít-ra-en đã nói thế này thế này”. Vua xứ Sy-ri-a liền nói: “Khanh hãy đi, trẫm sẽ gởi cho vua Ít-ra-en một bức thơ”. Na-a-man ra đi, mang theo mười lạng bạc, sáu ngàn nén vàng và mười bộ áo. Ông trao cho vua Ít-ra-en bức thơ nội dung như sau: “Khi bức thơ này đến tay nhà vua, nhà vua biết tôi sai Na-a-man, tôi tớ tôi, đến với nhà vua, để xin nhà vua chữa ông khỏi phong cùi”.\rSau khi đọc bức thơ, vua Ít-ra-en liền xé áo và nói: “Ta có phải là Chúa, có thể giết chết và cho sống hay sao mà vua ấy gởi người đến xin ta chữa lành phong cùi? Các ngươi thấy không, vua ấy tìm cớ hại Ta đó”. Khi Ê-li-sa, người của Thiên Chúa, nghe tin vua Ít-ra-en đã xé áo mình, nên sai người đến tâu vua rằng: “Tại sao nhà vua lại xé áo? Ông ấy cứ đến với tôi thì sẽ biết trong Ít-ra-en có một vị tiên tri”.\rNa-a-man lên xe ngựa đi, và dừng lại trước cửa nhà Ê-li-sa. Tiên tri nói với Na-a-man rằng: “Ông hãy đi tắm bảy lần ở sông Gio-đan, thì da thịt ông sẽ được lành sạch”. Na-a-man nổi giận bỏ đi nói rằng: “Tôi tưởng ông ấy ra đón tôi và đứng trước tôi kêu cầu danh Chúa là Thiên Chúa của ông, rồi đặt tay lên chỗ phong cùi của tôi và chữa tôi lành mạnh. Các con sông A-va-na và Pác-pa ở Ða-mát không sạch hơn các con sông ở Ít-ra-en để tôi tắm và được lành sạch hay sao?” Ông trở về lòng đầy tức giận.\rCác đầy tớ của ông đến nói với ông rằng: “Thưa cha, vị tiên tri có yêu cầu cha làm một việc lớn lao thì cha cũng phải làm. Phương chi bây giờ người bảo cha: “Hãy đi tắm, thì được sạch”. Na-a-man xuống tắm bảy lần ở sông Gio-đan như lời tiên tri, người của Thiên Chúa dạy, da thịt ông lại trở nên tốt như da thịt của đứa trẻ, và ông được sạch.\rSau đó ông và đoàn tuỳ tùng trở lại gặp người của Thiên Chúa. Ðến nơi, ông đứng trước mặt người của Thiên Chúa và nói: “Thật tôi biết không có Thiên Chúa nào khác trên hoàn vũ, ngoài một Thiên Chúa ở Ít-ra-en”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 41, 2. 3, và Tv 42, 3. 4","response":"Ðáp: Hồn con khát Chúa Trời, Chúa Trời hằng sống, ngày nào con được tìm về ra mắt Chúa Trời? (x. Tv 41, 3)","verses":["Xướng: Như nai rừng khát mong nguồn nước, hồn con khát Chúa, Chúa Trời ôi!","Xướng: Hồn con khát Chúa Trời, Chúa Trời hằng sống, ngày nào con được tìm về ra mắt Chúa Trời?","Xướng: Xin chiếu giãi quang minh và chân thực của Chúa, để những điều đó hướng dẫn con, đưa con lên núi thánh và cung lâu của Ngài.","Xướng: Con sẽ tiến tới bàn thờ Thiên Chúa, đến cùng Thiên Chúa làm cho con được hoan hỉ, mừng vui. Với cây cầm thụ con sẽ ca ngợi Chúa, ôi Chúa là Thiên Chúa của con."]},"alleluia":{"verse":": Tv 129, 5 và 7","content":"Con trông cậy Chúa, con mong đợi lời hứa của Chúa, vì nơi Chúa sẵn có lòng từ bi và chan chứa ơn cứu độ."},"gospel":{"excerpt":"Lc 4, 24-30","info":"“Như Ê-li-a và Ê-li-sa, Chúa Giê-su không phải chỉ được sai đến người Do-thái mà thôi đâu”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Lu-ca.","content":"(Khi Chúa Giê-su đến thành Na-da-rét, Ngài nói với dân chúng tụ họp trong hội đường rằng: “Quả thật, Ta bảo các ngươi, chẳng có một tiên tri nào được tiếp đón tử tế ở quê hương mình. Ta bảo các ngươi, chắc hẳn trong thời Ê-li-a có nhiều bà goá ở Ít-ra-en, khi trời hạn hán và một nạn đói lớn hoành hành khắp nước suốt ba năm sáu tháng, nhưng Ê-li-a không được sai đến với một người nào trong bọn họ, mà chỉ được sai đến với một bà góa ở Sa-rép-ta xứ Si-đôn thôi. Cũng có nhiều người phong cùi trong Ít-ra-en thời tiên tri Ê-li-sa, nhưng không một người nào trong bọn họ được chữa lành, mà chỉ có Na-a-man, người Sy-ri-a”.\rVừa nghe đến đó, mọi người trong hội đường đều đầy phẫn nộ. Họ đứng dậy, đẩy Người ra khỏi thành và dẫn Người đến một triền đồi, nơi họ xây thành, để xô Người xuống vực. Nhưng Người tiến qua giữa họ mà đi.","end":"Ðó là lời Chúa"}},
+        "3032": {"firstReading":{"excerpt":"Ðn 3, 25. 34-43","info":"“Với tâm thần sám hối và tinh thần khiêm tốn, chúng tôi được chấp nhận”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Trong những ngày ấy, A-da-ri-a đứng giữa lửa mở miệng cầu nguyện rằng: “Vì danh Chúa, xin đừng bỏ con mãi mãi cho quân thù, và xin đừng huỷ bỏ lời giao ước của Chúa. Xin chớ cất lòng từ bi Chúa khỏi chúng con. Vì Áp-ra-ham kẻ Chúa yêu, I-sa-ác tôi tớ Chúa, và Ít-ra-en người lành thánh của Chúa, những kẻ Chúa đã hứa cho sinh con cháu ra nhiều như sao trên trời và như cát bãi biển. Vì lạy Chúa, chúng con đã trở nên yếu hèn hơn mọi dân tộc và hôm nay, vì tội lỗi chúng con, chúng con bị nhục nhã ở mọi nơi. Hiện giờ không còn vua chúa, thủ lãnh, tiên tri, không còn của lễ toàn thiêu, lễ hiến tế, lễ vật, nhũ hương và nơi để dâng lên Chúa của đầu mùa để được Chúa thương. Nhưng với tâm hồn sám hối và với tinh thần khiêm tốn, chúng con xin Chúa chấp nhận; chúng con như những con dê, bò rừng và những chiên béo được dâng lên Chúa làm của lễ toàn thiêu, xin cho của hiến tế chúng con dâng trước tôn nhan Chúa hôm nay, được đẹp lòng Chúa, vì những ai tin tưởng nơi Chúa không phải hổ thẹn. Và bây giờ chúng con hết lòng theo Chúa, kính sợ Chúa và tìm kiếm tôn nhan Chúa. Xin đừng để chúng con phải hổ thẹn, nhưng xin hãy đối xử với chúng con theo lòng nhân hậu và lòng từ bi sung mãn của Chúa. Lạy Chúa, xin làm những việc lạ lùng mà cứu thoát chúng con, và xin cho thánh danh Chúa được vinh quang”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9","response":"Ðáp: Lạy Chúa, xin hãy nhớ lòng thương xót của Ngài","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa, xin dạy bảo con về lối bước của Ngài. Xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con.","Xướng: Lạy Chúa, xin hãy nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài."]},"alleluia":{"verse":":","content":"Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra."},"gospel":{"excerpt":"Phúc Âm: Mt 18, 21-35","info":"“Nếu mỗi người trong chúng con không tha thứ cho anh em, thì Chúa Cha cũng không tha thứ cho chúng con”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Mát-thêu.","content":"Khi ấy, Phê-rô đến thưa cùng Chúa Giê-su rằng: “Lạy Thầy, khi anh em xúc phạm đến con, con phải tha thứ cho họ mấy lần? Có phải đến bảy lần không?” Chúa Giê-su đáp: “Ta không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy. Về vấn đề này, thì Nước Trời cũng giống như ông vua kia muốn tính sổ với các đầy tớ. Trước hết, người ta dẫn đến vua một người mắc nợ mười ngàn nén bạc. Người này không có gì trả, nên chủ ra lệnh bán y, vợ con và tất cả tài sản của y để trả hết nợ. Người đầy tớ liền sấp mình dưới chân chủ và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn và tôi sẽ trả cho ngài tất cả”. Người chủ động lòng thương, trả tự do và tha nợ cho y. Khi ra về, tên đầy tớ gặp một người bạn mắc nợ y một trăm bạc. Y tóm lấy, bóp cổ mà nói rằng: “Hãy trả nợ cho ta”. Bấy giờ người bạn sấp mình dưới chân và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn, tôi sẽ trả hết nợ cho anh”. Y không nghe, bắt người bạn tống giam vào ngục, cho đến khi trả nợ xong. Các bạn y chứng kiến cảnh tượng đó, rất khổ tâm, họ liền đi thuật với chủ tất cả câu truyện. Bấy giờ chủ đòi y đến và bảo rằng: “Tên đầy tớ độc ác kia, ta đã tha hết nợ cho ngươi, vì ngươi đã van xin ta; còn ngươi, sao ngươi không chịu thương bạn ngươi như ta đã thương ngươi?” Chủ nổi giận, trao y cho lý hình hành hạ, cho đến khi trả hết nợ. Vậy Cha Ta trên trời cũng xử với các con đúng như thế, nếu mỗi người trong các con không hết lòng tha thứ cho anh em mình”.","end":"Ðó là lời Chúa"}},
+        "3033": {"firstReading":{"excerpt":"Ðnl 4, 1. 5-9","info":"“Các ngươi hãy tuân giữ các giới răn và đem thực hành bằng việc làm”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môi-sen nói với dân chúng rằng: “Hỡi Ít-ra-en, giờ đây hãy nghe các lề luật và huấn lệnh mà tôi dạy bảo các ngươi phải thực hành, để được sống và được vào chiếm hữu phần đất mà Chúa là Thiên Chúa cha ông các ngươi sẽ ban cho các ngươi. Các ngươi nên biết, tôi thừa lệnh Chúa là Thiên Chúa tôi mà truyền dạy cho các ngươi biết lề luật và huấn lệnh của Chúa, để các ngươi thi hành các điều ấy trong phần đất mà các ngươi chiếm hữu; các ngươi phải tuân giữ và thực hành, vì đó là sự khôn ngoan và sáng suốt của các ngươi trước mặt muôn dân, để khi nghe nói đến tất cả các lề luật ấy, họ nói: “Thật, dân tộc vĩ đại này là một dân khôn ngoan và sáng suốt”. Không một dân tộc vĩ đại nào được các thần ở bên cạnh mình, như Chúa là Thiên Chúa chúng ta ở bên cạnh chúng ta khi chúng ta kêu cầu Người. Có dân tộc thời danh nào khác có lễ nghi, huấn lệnh công chính, và bộ luật như tôi trình bày trước mặt các ngươi hôm nay không?\r“Vậy các ngươi hãy ý tứ và giữ mình. Trong suốt đời các ngươi, đừng quên và đừng để lòng xao lãng những điều các ngươi đã thấy. Hãy dạy cho con cháu các ngươi biết các điều ấy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 147, 12-13. 15-16. 19-20","response":"Ðáp: Giê-ru-sa-lem hỡi, hãy ngợi khen Chúa .","verses":["Xướng: Giê-ru-sa-lem hỡi, hãy ngợi khen Chúa. Hãy ngợi khen Thiên Chúa của ngươi, hỡi Si-on! vì Người giữ chặt các chốt cửa thành ngươi; Người đã chúc phúc cho con cái ngươi trong thành nội.","Xướng: Người đã sai lời Người xuống cõi trần ai, và lời Người lanh chai chạy rảo. Người khiến tuyết rơi như thể lông cừu, Người gieo rắc sương đông như tro bụi trắng.","Xướng: Người đã loan truyền lời Người cho Gia-cóp, những thánh chỉ và huấn lệnh Người cho Ít-ra-en. Người đã không làm cho dân tộc nào như thế, Người đã không công bố cho họ các huấn lệnh của Người."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta không muốn kẻ gian ác phải chết, nhưng muốn nó ăn năn sám hối và được sống”."},"gospel":{"excerpt":"Mt 5, 17-19","info":"“Ai giữ và dạy người ta giữ, sẽ được kể là người cao cả trong Nước Trời”.","title":" Tin Mừng Chúa Giê-su Ki-tô theo thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Các con đừng tưởng Ta đến để huỷ bỏ lề luật hay các tiên tri: Ta không đến để huỷ bỏ, nhưng để kiện toàn. Vì Ta bảo thật các con: Cho dù trời đất có qua đi, thì một chấm, một phẩy trong bộ luật cũng không bỏ sót, cho đến khi mọi sự hoàn thành. Bởi vậy, ai huỷ bỏ một trong những điều luật nhỏ mọn nhất, và dạy người khác làm như vậy, sẽ kể là người nhỏ nhất trong Nước Trời; trái lại, ai giữ và dạy người ta giữ những điều đó, sẽ được kể là người cao cả trong Nước Trời”.","end":"Ðó là lời Chúa"}},
+        "3034": {"firstReading":{"excerpt":"Gr 7, 23-28","info":"“Này là dân không chịu nghe lời Chúa là Thiên Chúa của họ”.","title":"Trích sách Tiên tri Giê-rê-mi-a.","content":"Ðây Chúa phán: Ta truyền cho họ lời này: Các ngươi hãy nghe lời Ta, thì Ta sẽ là Thiên Chúa các ngươi, và các ngươi sẽ là dân Ta. Các ngươi hãy đi trong mọi đường lối mà Ta truyền dạy cho các ngươi, để các ngươi được hạnh phúc.\rNhưng họ không nghe, họ không chịu lắng tai, họ vẫn chạy theo ý định và lòng xấu xa của họ, họ đã ngoảnh mặt đi chứ không nhìn Ta. Từ ngày cha ông họ ra khỏi đất Ai-cập cho đến ngày nay, ngay từ sáng sớm, Ta lần lượt sai các tiên tri tôi tớ của Ta đến với họ, nhưng họ không nghe Ta, không chịu lắng tai nghe. Họ tỏ ra cứng đầu cứng cổ, và còn sống tệ hơn cha ông họ! Ngươi có nói cho họ biết tất cả các điều ấy, thì họ sẽ không nghe ngươi đâu; Vậy ngươi hãy nói cho họ biết: Này là dân không chịu nghe lời Chúa là Thiên Chúa của họ, không chấp nhận kỷ luật, lòng trung tín đã mất và miệng họ không còn nhắc đến nữa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","response":"Ðáp: Ước chi hôm nay các bạn nghe tiếng Người: Các bạn đừng cứng lòng","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của ta! Hãy ra trước thiên nhan với lời ca ngợi; chúng ta hãy xướng ca để hoan hô Người.","Xướng: Hãy tiến lên, cúc cung bái và sụp lạy; hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: “Ðừng cứng lòng như ở Mê-ri-ba, như hôm ở Ma-sa trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta, họ đã thử Ta mặc dầu đã thấy công cuộc của Ta”."]},"alleluia":{"verse":":","content":"Ðây là lúc thuận tiện, đây là ngày cứu độ."},"gospel":{"excerpt":"Lc 11, 14-23","info":"“Ai không thuận với Ta là nghịch cùng Ta”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su trừ một quỷ câm. Khi quỷ ra khỏi, người câm liền nói được và dân chúng đều bỡ ngỡ. Nhưng có mấy người trong bọn họ nói rằng: “Ông ta nhờ tướng quỷ Bê-en-dê-bun mà trừ quỷ”. Mấy kẻ khác muốn thử Người, nên xin Người một dấu lạ từ trời xuống. Nhưng Người biết ý của họ, liền phán:\r“Nước nào tự chia rẽ, sẽ diệt vong, và nhà cửa sẽ sụp đổ chồng chất lên nhau. Vậy nếu Sa-tan cũng tự chia rẽ, thì nước nó làm sao đứng vững được? Bởi các ngươi bảo Ta nhờ Bê-en-dê-bun mà trừ quỷ, vậy nếu Ta nhờ Bê-en-dê-bun mà trừ quỷ, thì con cái các ngươi nhờ ai mà trừ? Bởi đó, chính con cái các ngươi sẽ xét xử các ngươi. Nhưng nếu Ta nhờ ngón tay Thiên Chúa mà trừ quỷ, ắt là nước Thiên Chúa đã đến giữa các ngươi rồi.\r“Khi có người khỏe mạnh và võ trang đầy đủ canh giữ nhà mình, thì của cải người đó được an toàn; nhưng nếu có người mạnh hơn xông đến đánh bại hắn, thì sẽ tước hết khí giới hắn tin tưởng, và làm tiêu tan hết những gì đã tước đoạt. Ai không thuận với Ta là nghịch cùng Ta, và ai không thu góp với Ta là phân tán”.","end":"Ðó là lời Chúa"}},
+        "3035": {"firstReading":{"excerpt":"Hs 14, 2-10","info":"“Chúng tôi sẽ không còn nói rằng: Thần minh chúng tôi là sản phẩm do tay chúng tôi làm ra”.","title":"Trích sách Tiên tri Hô-sê.","content":"Ðây Chúa phán: Hỡi Ít-ra-en, hãy trở về với Chúa là Thiên Chúa ngươi, vì ngươi đã gục ngã trong đường tội ác. Các ngươi hãy mang lấy lời Chúa và trở về với Chúa; các ngươi hãy thưa rằng: “Xin hãy xoá bỏ mọi tội ác, và nhận điều lành. Chúng tôi dâng lên Chúa của lễ ca tụng. Át-sua sẽ không giải thoát chúng tôi, chúng tôi sẽ không cỡi ngựa và sẽ không còn nói rằng: Thần minh chúng tôi là sản phẩm do tay chúng tôi làm ra, vì nơi Chúa, kẻ mồ côi tìm được sự thương xót”.\rTa sẽ chữa sự bất trung của họ và hết lòng yêu thương họ, vì Ta đã nguôi giận họ. Ta sẽ như sương sa, Ít-ra-en sẽ mọc lên như bông huệ và đâm rễ như chân núi Li-băng. Các nhánh của nó sẽ sum sê, vẻ xinh tươi của nó như cây ô-liu và hương thơm của nó như hương thơm núi Li-băng. Thiên hạ sẽ đến ngồi núp dưới bóng mát của nó, họ sống bằng lúa mì và lớn lên như cây nho. Nó sẽ được lừng danh như rượu Liban.\rHỡi Ép-ra-im, tượng thần giúp ích gì cho ngươi không? Chính Ta sẽ nhậm lời và săn sóc ngươi, cho ngươi mọc lên như cây hương nam xinh tươi. Nhờ Ta, ngươi sẽ sinh hoa kết quả.\rAi là người khôn ngoan hiểu được các việc này, ai là người sáng suốt biết được các việc đó? Vì chưng đường lối của Chúa là đường ngay thẳng và những người công chính sẽ đi trên đó, còn các người gian ác sẽ gục ngã trên đó”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 80, 6c-8a. 8bc-9. 10-11ab. 14 và 17","response":"Ðáp: Ta là Chúa, là Thiên Chúa của ngươi, hãy nghe Ta răn bảo","verses":["Xướng: Tôi đã nghe lời nói mới lạ rằng: Ta đã cứu vai ngươi khỏi mang gánh nặng, tay ngươi không còn phải mang thúng mủng. Trong cảnh gian truân ngươi cầu cứu, và Ta giải thoát ngươi.","Xướng:Ta đáp lời ngươi từ trong áng mây vang ran sấm sét, Ta thử thách ngươi gần suối nước Mê-ri-ba. Hỡi dân tộc Ta, hãy nghe Ta răn bảo, Ít-ra-en, ước chi ngươi biết nghe lời Ta!","Xướng: Ở nơi ngươi đừng có một chúa tể nào khác cả, ngươi cũng đừng thờ tự một chúa tể ngoại lai: vì Ta là Chúa, là Thiên Chúa của ngươi, Ta đã đưa ngươi ra khỏi Ai-cập.","Xướng: Phải chi dân của Ta biết nghe lời Ta, Ít-ra-en biết theo đường lối Ta mà ăn ở: Ta sẽ lấy tinh hoa lúa mì nuôi dưỡng chúng, và cho chúng ăn no mật từ hốc đá chảy ra."]},"alleluia":{"verse":":","content":"Phúc cho những ai thành tâm thiện chí giữ lấy lời Chúa, và nhẫn nại sinh hoa kết quả."},"gospel":{"excerpt":"Mc 12, 28b-34","info":"“Thiên Chúa của ngươi là Thiên Chúa duy nhất, và ngươi hãy kính mến Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Mác-cô.","content":"Khi ấy, có người trong nhóm Luật sĩ tiến đến Chúa Giê-su và hỏi Người rằng: “Trong các giới răn, điều nào trọng nhất?”\rChúa Giê-su đáp: “Giới răn trọng nhất chính là: “Hỡi Ít-ra-en, hãy nghe đây: Thiên Chúa, Chúa chúng ta, là Chúa duy nhất, và ngươi hãy yêu mến Thiên Chúa ngươi hết lòng, hết linh hồn, hết trí khôn và hết sức ngươi”. Còn đây là giới răn thứ hai: “Ngươi hãy yêu mến tha nhân như chính mình ngươi”. Không có giới răn nào trọng hơn hai giới răn đó”. Luật sĩ thưa Ngài: “Thưa Thầy, đúng lắm! Thầy dạy phải lẽ khi nói Thiên Chúa là Chúa duy nhất và ngoài Người, chẳng có Chúa nào khác nữa. Mến Chúa hết lòng, hết trí khôn, hết sức mình, và yêu tha nhân như chính mình thì hơn mọi lễ vật toàn thiêu và mọi lễ vật hy sinh”. Thấy người ấy tỏ ý kiến khôn ngoan, Chúa Giêsu bảo: “Ông không còn xa Nước Thiên Chúa bao nhiêu”. Và không ai dám hỏi Người thêm điều gì nữa.","end":"Ðó là lời Chúa"}},
+        "3036": {"firstReading":{"excerpt":"Hs 6, 1b-6","info":"“Ta muốn tình yêu, chớ không muốn hy lễ”.","title":"Trích sách Tiên tri Hô-sê.","content":"Ðây Chúa phán: Trong cảnh khốn khổ, từ ban mai, họ chỗi dậy chạy tìm kiếm Ta. “Hãy đến, và chúng ta quay trở về với Chúa, vì Chúa bắt chúng ta, rồi sẽ tha chúng ta; Chúa đánh chúng ta, rồi sẽ lại chữa chúng ta. Sau hai ngày Người cho chúng ta sống lại, đến ngày thứ ba, Người đỡ chúng ta đứng lên, và chúng ta sẽ sống trước mặt Người. Chúng ta hãy nhận biết Chúa và hãy ra sức nhận biết Chúa. Người sẵn sàng xuất hiện như vừng đông, và sẽ đến cùng chúng ta như mưa thuận và như mưa xuân trên mặt đất”.\rHỡi Ép-ra-im, Ta sẽ làm gì cho ngươi? Hỡi Giu-đa, Ta sẽ làm gì cho ngươi? Tình thương các ngươi như đám mây ban sáng, như sương sớm tan đi. Vì thế, Ta dùng các tiên tri nghiêm trị chúng, và Ta dùng lời từ miệng Ta phán ra mà giết chúng. Án phạt các ngươi bừng lên như ánh sáng. Vì chưng, Ta muốn tình yêu, chớ không muốn hy lễ. Ta muốn sự hiểu biết Thiên Chúa hơn là của lễ toàn thiêu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 18-19. 20-21ab","response":"Ðáp: Ta muốn tình yêu, chớ không muốn hy lễ","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ, nếu con dâng lễ toàn thiêu Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát, lạy Chúa, xin đừng chê tấm lòng tan nát, khiêm cung.","Xướng: Lạy Chúa, xin thịnh tình với Sion theo lòng nhân hậu, hầu xây lại thành trì của Giê-ru-sa-lem. Bấy giờ Chúa con sẽ nhận những lễ vật chính đáng, những hy sinh với lễ toàn thiêu."]},"alleluia":{"verse":": Ga 8, 12b","content":"Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”."},"gospel":{"excerpt":"Lc 18, 9-14","info":"“Người thu thuế ra về được khỏi tội”","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su nói dụ ngôn sau đây với những người hay tự hào mình là người công chính và hay khinh bỉ kẻ khác: “Có hai người lên đền thờ cầu nguyện, một người biệt phái, một người thu thuế. Người biệt phái đứng thẳng, cầu nguyện rằng: “Lạy Chúa, tôi cảm tạ Chúa vì tôi không như các người khác: tham lam, bất công, ngoại tình, hay là như tên thu thuế kia; tôi ăn chay mỗi tuần hai lần, và dâng một phần mười tất cả các hoa lợi của tôi”. Người thu thuế đứng xa xa, không dám ngước mắt lên trời, đấm ngực mà nguyện rằng: “Lạy Chúa, xin thương xót con là kẻ có tội”. Ta bảo các ngươi: người này ra về được khỏi tội, còn người kia thì không. Vì tất cả những ai tự nâng mình lên, sẽ bị hạ xuống; và ai hạ mình xuống, sẽ được nâng lên”.","end":"Ðó là lời Chúa"}},
+        "3041": {"firstReading":{"excerpt":"Is 65, 17-21","info":"“Thiên hạ sẽ không còn nghe tiếng khóc lóc và than van nữa”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ðây Thiên Chúa phán: “Này Ta tác tạo trời mới, đất mới; người ta sẽ không còn nhớ lại dĩ vãng, và cũng sẽ không bận tâm đến dĩ vãng nữa. Nhưng các ngươi hãy hân hoan và nhảy mừng cho đến muôn đời trong các việc Ta tác tạo, vì đây Ta tác tạo một Giê-ru-sa-lem hân hoan và một dân tộc vui mừng. Ta sẽ hân hoan ở Giê-ru-sa-lem, sẽ vui mừng nơi dân Ta, và từ đây người ta sẽ không còn nghe tiếng khóc lóc và than van nữa. Ở đó sẽ không còn trẻ nhỏ chết yểu, không còn người già chết sớm nữa, vì người chết trăm tuổi cũng còn gọi là chết trẻ, người không sống đến trăm tuổi, kể là bị chúc dữ. Họ sẽ xây cất nhà cửa và cư ngụ ở đó, sẽ trồng nho và ăn trái nho”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11e-12a và 13b","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Ngài đã đưa linh hồn con thoát xa Âm phủ, Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Chúa, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ lâu trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời. Chiều hôm có gặp cảnh lệ rơi, nhưng sáng mai lại được mừng vui hoan hỉ.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con, lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con, lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"alleluia":{"verse":":","content":"Tôi muốn ra đi trở về với cha tôi và thưa người rằng: Thưa cha, con đã lỗi phạm đến trời và đến cha."},"gospel":{"excerpt":"Ga 4, 43-54","info":"“Ông hãy về đi, con ông mạnh rồi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su bỏ Sa-ma-ri-a mà đến Ga-li-lê-a. Chính Người đã nói: “Không vị tiên tri nào được kính nể nơi quê hương mình”. Khi Người đến Ga-li-lê-a, dân chúng ra đón tiếp Người: Họ đã chứng kiến tất cả các việc Người làm ở Giê-ru-sa-lem trong dịp lễ; vì họ cũng đi dự lễ.\rNgười trở lại Ca-na xứ Ga-li-lê-a, nơi Người đã biến nước thành rượu. Bấy giờ có một quan chức nhà vua ở Ca-phác-na-um có người con trai đang đau liệt. Ðược tin Chúa Giê-su đã bỏ Giu-đê-a đến Ga-li-lê-a, ông đến tìm Người và xin Người xuống chữa con ông sắp chết. Chúa Giê-su bảo ông: “Nếu các ông không thấy những phép lạ và những việc phi thường, hẳn các ông sẽ không tin”. Viên quan chức trình lại Người: “Thưa Ngài, xin Ngài xuống trước khi con tôi chết”. Chúa Giê-su bảo ông: “Ông hãy về đi, con ông mạnh rồi”. Ông tin lời Chúa Giê-su nói và trở về.\rKhi xuống đến sườn đồi thì gặp gia nhân đến đón, báo tin cho ông biết con ông đã mạnh. Ông hỏi giờ con ông được khỏi. Họ thưa: “Hôm qua lúc bảy giờ cậu hết sốt”. Người cha nhận ra là đúng giờ đó Chúa Giêsu bảo ông: “Con ông mạnh rồi”, nên ông và toàn thể gia quyến ông đều tin. Ðó là phép lạ thứ hai Chúa Giêsu đã làm khi Người ở Giu-đê-a về Ga-li-lê-a.","end":"Ðó là lời Chúa"}},
+        "3042": {"firstReading":{"excerpt":"Ed 47, 1-9. 12","info":"“Tôi đã thấy nước từ bên phải đền thờ chảy ra, và nước ấy chảy đến ai, thì tất cả đều được cứu rỗi”.","title":"Trích sách Tiên tri Ê-dê-ki-en.","content":"Trong những ngày ấy, thiên thần dẫn tôi đến cửa nhà Chúa, và đây nước chảy dưới thềm nhà phía hướng đông, vì mặt tiền nhà Chúa hướng về phía đông, còn nước thì chảy từ bên phải đền thờ, về phía nam bàn thờ. Thiên thần dẫn tôi qua cửa phía bắc, đưa đi phía ngoài, đến cửa ngoài nhìn về hướng đông, và đây nước chảy từ bên phải. Khi đó có người đàn ông đi ra về hướng đông, tay cầm sợi dây, ông đo một ngàn thước tay và dẫn tôi đi qua dưới nước tới mắt cá chân. Ông đo một ngàn thước tay nữa và dẫn tôi đi qua dưới nước đến đầu gối. Ông còn đo một ngàn thước tay và dẫn tôi đi qua dưới nước đến ngang lưng. Ông lại đo thêm một ngàn thước tay nữa, và đây là suối nước, tôi không thể đi qua được, vì nước suối dâng lên cao quá, phải lội mới đi qua được, nên người ta không thể đi qua được. Người ấy nói với tôi: “Hỡi người, hẳn ngươi đã xem thấy”. Rồi ông dẫn tôi đi, rồi dẫn trở lại trên bờ suối. Khi trở lại, tôi thấy hai bên suối có nhiều cây cối. Người ấy lại nói với tôi: “Nước này chảy về phía cồn cát, phía đông, chảy xuống đồng bằng hoang địa, rồi chảy ra biển, biến mất trong biển và trở nên nước trong sạch. Tất cả những sinh vật sống động, nhờ suối nước chảy qua, đều được sống. Sẽ có rất nhiều cá và nơi nào nước này chảy đến, nơi đó sẽ trở nên trong lành, và sự sống sẽ được phát triển ở nơi mà suối nước chảy đến.\rGần suối nước, hai bên bờ ở mỗi phía, mọi thứ cây ăn trái sẽ mọc lên; lá của nó sẽ không khô héo, và trái của nó sẽ không bao giờ hết; mỗi tháng nó có trái mới, vì dòng nước này phát xuất từ đền thờ; trái của nó dùng làm thức ăn, và lá của nó dùng làm thuốc uống.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 45, 2-3. 5-6. 8-9","response":"Ðáp: Chúa thiên binh hằng ở cùng ta, và ta được Chúa Gia-cóp hằng bảo vệ","verses":["Xướng: Chúa là nơi ẩn náu và là sức mạnh của chúng ta, Người hằng cứu giúp khi ta sầu khổ. Dầu đất có rung chuyển, ta không sợ chi, dầu núi đổ xuống đầy lòng biển cả.","Xướng: Nước dòng sông làm cho thành Chúa vui mừng, làm hân hoan cung thánh Ðấng Tối Cao hiển ngự. Chúa ở giữa thành, nên nó không chuyển rung, lúc tinh sương, thành được Chúa cứu giúp.","Xướng: Chúa thiên binh hằng ở cùng ta, ta được Chúa Gia-cóp hằng bảo vệ. Các ngươi hãy đến mà xem mọi kỳ công Chúa làm, Người thực hiện muôn kỳ quan trên vũ trụ."]},"alleluia":{"verse":":","content":"Ôi lạy Chúa, xin tạo cho con quả tim trong sạch. Xin ban lại cho con niềm vui ơn cứu độ."},"gospel":{"excerpt":"Ga 5, 1-3a. 5-16","info":"“Tức khắc người ấy được lành bệnh”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Hôm đó là ngày lễ của người Do-thái, Chúa Giê-su lên Giê-ru-sa-lem. Tại Giê-ru-sa-lem, gần cửa “Chiên”, có một cái hồ, tiếng Do-thái gọi là Bết-sai-đa, chung quanh có năm hành lang. Trong các hành lang này, có rất nhiều người đau yếu, mù loà, què quặt, bất toại nằm la liệt. Trong số đó, có một người nằm đau liệt đã ba mươi tám năm. Khi Chúa Giê-su thấy người ấy nằm đó và biết anh đã đau từ lâu, liền hỏi: “Anh muốn được lành bệnh không?” Người đó thưa: “Thưa Ngài, tôi không được ai đem xuống hồ, mỗi khi nước động. Khi tôi lết tới, thì có người xuống trước tôi rồi”. Chúa Giê-su nói: “Anh hãy đứng dậy vác chõng mà về”. Tức khắc người ấy được lành bệnh. Anh ta vác chõng và đi. Nhưng hôm đó lại là ngày Sa-bat, nên người Do-thái bảo người vừa được khỏi bệnh rằng: “Hôm nay là ngày Sa-bat, anh không được phép vác chõng”. Anh ta trả lời: “Chính người chữa tôi lành bệnh bảo tôi: “Vác chõng mà đi”. Họ hỏi: “Ai là người đã bảo anh “Vác chõng mà đi?” Nhưng kẻ đã được chữa lành không biết Người là ai, vì Chúa Giê-su đã lánh vào đám đông tụ tập nơi đó.\rSau đó, Chúa Giê-su gặp anh ta trong đền thờ, Người nói: “Này, anh đã được lành bệnh, đừng phạm tội nữa, kẻo phải khốn khổ hơn trước”. Anh ta đi nói cho người Do-thái biết chính Chúa Giê-su là người đã chữa anh ta lành bệnh.\rVì thế người Do-thái gây sự với Chúa Giê-su, vì Người đã làm như thế trong ngày Sa-bat.","end":"Ðó là lời Chúa"}},
+        "3043": {"firstReading":{"excerpt":"Is 49, 8-15","info":"“Ta đã đặt ngươi nên giao ước của dân, để ngươi phục hưng xứ sở”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ðây Chúa phán: “Trong thời thuận tiện, Ta đã nghe lời ngươi; trong ngày cứu độ, Ta đã cứu giúp ngươi; Ta đã gìn giữ ngươi và đã đặt ngươi nên giao ước của dân, để ngươi phục hưng xứ sở, và thu hồi các tài sản bị phân tán, để ngươi nói với tù nhân rằng: “Các ngươi hãy ra”, và nói với những kẻ ở trong tối tăm rằng: “Các ngươi hãy ra ngoài sáng”. Họ được nuôi dưỡng trên các nẻo đường, và các đồi trọc sẽ trở thành đồng cỏ. Họ sẽ không còn đói khát nữa, gió nóng và mặt trời không làm khổ họ, vì Ðấng thương xót họ sẽ là người hướng dẫn họ và đưa họ đến uống ở suối nước. Ta sẽ biến đổi tất cả các núi của Ta thành đường đi, và các lối đi của Ta sẽ được bồi đắp cho cao. Này đoàn người từ xa đến. Kìa những kẻ từ hướng bắc và hướng tây lại, và những người từ miền nam lên.\rTrời hãy ca ngợi, đất hãy nhảy mừng, núi đồi hãy hân hoan chúc tụng! Vì Chúa đã an ủi dân Người và sẽ xót thương những người cùng khổ.\rNhưng Si-on nói: “Chúa bỏ rơi tôi, Chúa đã quên tôi rồi”. Nào người mẹ có thể quên con mình mà không thương xót chính đứa con mình đã cưu mang ư? Cho dù người mẹ đó có quên, nhưng Ta sẽ không quên ngươi đâu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 8-9. 13cd-14. 17-18","response":"Ðáp: Chúa là Ðấng nhân ái và từ bi","verses":["Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa.","Xướng: Chúa trung thành trong mọi lời Ngài phán, và thánh thiện trong mọi việc Ngài làm. Chúa nâng đỡ hết thảy những ai sa ngã, và cho mọi kẻ khòm lưng đứng thẳng lên.","Xướng: Chúa công minh trong mọi đường lối, và thánh thiện trong việc Chúa làm. Chúa gần gũi mọi kẻ kêu cầu Ngài, mọi kẻ kêu cầu Ngài cách thành tâm."]},"alleluia":{"verse":":","content":"Ðây là lúc thuận tiện. Ðây là ngày cứu độ."},"gospel":{"excerpt":"Ga 5, 17-30","info":"“Chúa Cha cho người chết sống lại và làm cho họ sống thế nào, thì Chúa Con cũng vậy, Người làm cho ai sống là tuỳ ý Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su trả lời dân Do-thái rằng: “Cha Ta làm việc liên lỉ, Ta cũng làm việc như vậy”. Bởi thế, người Do-thái càng tìm cách giết Người, vì không những Người đã phạm luật nghỉ ngày Sa-bat, lại còn gọi Thiên Chúa là Cha mình, coi mình ngang hàng với Thiên Chúa. Vì thế, Chúa Giêsu trả lời họ rằng:\r“Quả thật, quả thật, Ta nói cho các ngươi biết: Chúa Con không thể tự mình làm gì nếu không thấy Chúa Cha làm. Ðiều gì Chúa Cha làm, thì Chúa Con cũng làm y như vậy. Vì chưng, Chúa Cha yêu Chúa Con và bày tỏ cho Chúa Con biết mọi việc mình làm, và sẽ còn bày tỏ những việc lớn lao hơn thế nữa, đến nỗi các ngươi sẽ phải thán phục. Bởi vì, cũng như Chúa Cha cho người chết sống lại và làm cho họ sống thế nào, thì Chúa Con cũng vậy, Ngài làm cho ai sống là tuỳ ý Ngài. Vì hơn nữa, Chúa Cha không xét xử ai cả, mà trao cho Chúa Con trọn quyền xét xử, để cho mọi người tôn trọng Chúa Con cũng như tôn trọng Chúa Cha: ai không tôn trọng Chúa Con thì không tôn trọng Chúa Cha, Ðấng đã sai Ngài. Quả thật, quả thật, Ta bảo các ngươi: Ai nghe lời Ta và tin Ðấng đã sai Ta, thì được sống đời đời và khỏi bị xét xử, nhưng được từ cõi chết mà qua cõi sống. Quả thật, quả thật, Ta bảo các ngươi, vì đến giờ và ngay bây giờ, kẻ chết nghe tiếng Con Thiên Chúa, và ai đã nghe thì sẽ được sống. Cũng như Chúa Cha có sự sống nơi chính mình thế nào, thì Người cũng cho Chúa Con có sự sống nơi mình như vậy, và Người đã ban cho Chúa Con quyền xét xử, vì Ngài là Con Người. Các ngươi đừng ngạc nhiên về điều này, vì đến giờ mọi kẻ trong mồ sẽ nghe tiếng Con Thiên Chúa và ra khỏi mồ; kẻ đã làm việc lành thì sống lại để được sống, còn kẻ đã làm việc dữ thì sống lại để bị xét xử. Ta không thể tự mình làm điều gì. Nghe sao, Ta xét xử vậy. Và án Ta xử thì công minh, vì Ta không tìm ý riêng Ta, mà tìm ý Ðấng đã sai Ta”.","end":"Ðó là lời Chúa"}},
+        "3044": {"firstReading":{"excerpt":"Xh 32, 7-14","info":"“Xin Chúa tỏ lòng khoan dung đối với tội lỗi dân Chúa”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Chúa phán cùng Mô-sê rằng: “Ngươi hãy đi xuống; dân mà ngươi dẫn ra khỏi đất Ai-cập đã phạm tội. Chúng đã sớm bỏ đường lối Ta đã chỉ dạy cho chúng, chúng đã đúc tượng bò con và sấp mình thờ lạy nó; chúng đã dâng lên nó của lễ hiến tế và nói rằng: “Hỡi Ít-ra-en, này là Thiên Chúa ngươi, Ðấng đã đưa ngươi ra khỏi đất Ai-cập”. Chúa phán cùng Mô-sê: “Ta thấy rõ dân này là một dân cứng cổ. Ngươi hãy để Ta làm, Ta sẽ nổi cơn thịnh nộ với chúng và sẽ huỷ diệt chúng, rồi Ta sẽ làm cho ngươi trở nên tổ phụ một dân tộc vĩ đại”.\rMô-sê van xin Chúa là Thiên Chúa của ông rằng: “Lạy Chúa, tại sao Chúa nổi cơn thịnh nộ với dân mà Chúa đã dùng quyền lực và cánh tay hùng mạnh đưa ra khỏi đất Ai-cập? Xin Chúa đừng để cho người Ai-cập nói rằng: “Người đã khéo dẫn họ đến đây, để giết họ trên núi và hủy diệt họ khỏi mặt đất”. Xin Chúa nguôi cơn giận và tỏ lòng khoan dung đối với tội lỗi dân Chúa. Xin Chúa nhớ đến Áp-ra-ham, I-sa ác, và Ít-ra-en tôi tớ Chúa, vì chính Chúa đã thề hứa rằng: “Ta sẽ làm cho con cháu các ngươi sinh sản ra nhiều như sao trên trời, Ta sẽ ban cho con cháu các ngươi toàn cõi xứ này như lời Ta đã hứa, và các ngươi sẽ chiếm hữu xứ này mãi mãi”. Chúa đã nguôi cơn giận, không thực hiện điều dữ mà Người đe dọa phạt dân Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 19-20. 21-22. 23","response":"Ðáp: Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Ngài","verses":["Xướng:  Họ đã đúc con bò tại Horeb, và lễ bái thần tượng đã đúc bằng vàng. Họ đem vinh quang của mình đánh đổi lấy hình tượng con bò ăn cỏ.","Xướng: Họ đã quên Thiên Chúa là Ðấng cứu độ mình, Ðấng đã làm những điều trọng đại bên Ai-cập, Ðấng đã làm những điều kỳ diệu trên lãnh thổ họ Cam, và những điều kinh ngạc nơi Biển Ðỏ.","Xướng: Chúa đã nghĩ tới chuyện tiêu diệt họ cho rồi, nếu như Môsê là người Chúa chọn, không đứng ra cầu khẩn với Ngài, để Ngài nguôi giận và đừng tiêu diệt họ."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta không muốn kẻ gian ác phải chết, nhưng muốn nó ăn năn sám hối và được sống”."},"gospel":{"excerpt":"Phúc Âm: Ga 5, 31-47","info":"“Có người tố cáo các ngươi, đó là Môsê, người mà các ngươi vẫn tin tưởng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su nói với dân Do-thái rằng: “Nếu chính Ta làm chứng về Mình, thì chứng của Ta sẽ không xác thực. Có một Ðấng khác làm chứng về Ta, và Ta biết chứng Người làm về Ta thì xác thực. Các ngươi đã sai người đi hỏi Gio-an, và Gio-an đã làm chứng cho sự thật. Phần Ta, Ta không cần chứng của loài người, nhưng Ta nói những điều này để các ngươi được cứu thoát. Gio-an là cây đèn cháy sáng. Các ngươi cũng muốn vui hưởng ánh sáng đó một thời gian. Nhưng Ta có một bằng chứng hơn chứng của Gio-an: vì công việc Chúa Cha đã giao cho Ta hoàn thành, là chính công việc Ta đang làm. Các việc đó làm chứng về Ta rằng Chúa Cha đã sai Ta. Và Chúa Cha, Ðấng đã sai Ta, chính Người cũng làm chứng về Ta. Nhưng chưa bao giờ các ngươi được nghe tiếng Người, chưa bao giờ nhìn thấy mặt Người, và lời Người, các ngươi cũng chẳng giữ lại được, vì các ngươi không tin Ðấng Người đã sai đến. Các ngươi tra cứu Sách Thánh, vì tưởng rằng trong đó các ngươi sẽ tìm thấy sự sống muôn đời; chính Sách Thánh lại làm chứng về Ta, vậy mà các ngươi vẫn không chịu đến với Ta để được sống.\rTa không tìm vinh quang nơi loài người. Nhưng Ta biết các ngươi không có lòng yêu mến Thiên Chúa. Ta đến nhân danh Chúa Cha, nhưng các ngươi không chịu đón nhận. Nếu có một người nào khác nhân danh mình mà đến, các ngươi sẽ đón nhận nó. Các ngươi là những người nhận vinh quang lẫn nhau mà không tìm vinh quang do một Thiên Chúa, thì làm sao các ngươi có thể tin được? Các ngươi đừng tưởng rằng Ta sẽ tố cáo các ngươi với Chúa Cha. Kẻ tố cáo các ngươi là Mô-sê, tức là người mà các ngươi vẫn tin tưởng. Vì nếu các ngươi tin Mô-sê, thì có lẽ các ngươi cũng đã tin Ta, bởi vì chính Mô-sê đã viết về Ta. Nhưng mà nếu các ngươi không tin điều Mô-sê đã viết, thì làm sao các ngươi tin lời Ta được?”","end":"Ðó là lời Chúa"}},
+        "3045": {"firstReading":{"excerpt":"Kn 2, 1a. 12-22","info":"“Chúng ta hãy kết án cho nó chết cách nhục nhã”.","title":"Trích sách Khôn Ngoan.","content":"Những kẻ gian ác suy nghĩ chín chắn, đã nói rằng: “Chúng ta hãy vây bắt kẻ công chính, vì nó không làm ích gì cho chúng ta, mà còn chống đối việc chúng ta làm, khiển trách chúng ta lỗi luật và tố cáo chúng ta vô kỷ luật. Nó tự hào mình biết Thiên Chúa và tự xưng là con Thiên Chúa. Chính nó là sự tố cáo những tư tưởng của chúng ta. Vì nguyên việc thấy nó, chúng ta cũng cáu, thấy bực mình, vì nếp sống của nó không giống như kẻ khác, và đường lối của nó thì lập dị. Nó kể chúng ta như rơm rác, nó xa lánh đường lối chúng ta như xa lánh những gì dơ nhớp, nó thích hạnh phúc cuối cùng của người công chính, nó tự hào có Thiên Chúa là Cha. Vậy chúng ta hãy xem coi điều nó nói có thật hay không, hãy nghiệm xét coi những gì sẽ xảy đến cho nó, và hãy chờ xem chung cuộc đời nó sẽ ra sao. Vì nếu nó thật là con Thiên Chúa, Chúa sẽ bênh vực nó, sẽ giải thoát nó khỏi tay những kẻ chống đối nó. Chúng ta hãy nhục mạ và làm khổ nó, để thử xem nó có hiền lành và nhẫn nại không. Chúng ta hãy kết án cho nó chết cách nhục nhã, vì theo lời nó nói, thì người ta sẽ cứu nó!” Chúng nghĩ như vậy, nhưng chúng lầm, vì tội ác của chúng đã làm cho chúng mù quáng. Và chúng không biết ý định mầu nhiệm của Thiên Chúa, nên cũng chẳng hy vọng phần thưởng công chính, và chúng cũng không ưa thích vinh dự của những tâm hồn thánh thiện.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 17-18. 19-20. 21 và 23","response":"Ðáp: Chúa gần gũi những kẻ đoạn trường","verses":["Xướng: Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần ai. Người hiền đức kêu cầu và Chúa nghe lời họ, Ngài cứu họ khỏi mọi nỗi âu lo.","Xướng: Chúa gần gũi những kẻ đoạn trường, và cứu chữa những tâm hồn đau thương dập nát. Người hiền đức gặp nhiều bước gian truân, nhưng Chúa luôn luôn giải thoát.","Xướng: Ngài gìn giữ họ xương cốt vẹn toàn, không để cho một cái nào bị gãy. Chúa cứu chữa linh hồn tôi tớ của Ngài, và phàm ai tìm đến nương tựa nơi Ngài, người đó sẽ không phải đền bồi tội lỗi."]},"alleluia":{"verse":":","content":"Hôm nay, các ngươi đừng cứng lòng, nhưng hãy nghe tiếng Chúa phán."},"gospel":{"excerpt":"Ga 7, 1-2. 10. 25-30","info":"“Chúng tìm cách bắt Người, nhưng chưa tới giờ Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su đi lại trong xứ Ga-li-lê-a; Người không muốn đi lại trong xứ Giu-đê-a, vì người Do-thái đang tìm giết Người. Lúc đó gần đến lễ Trại của người Do-thái. Nhưng khi anh em của Người lên dự lễ rồi, thì Người cũng đi, nhưng không đi cách công khai, mà lại đi cách kín đáo.\rCó một số người ở Giê-ru-sa-lem nói: “Ðây không phải là người họ đang tìm giết sao? Kìa ông ta đang nói công khai mà không ai nói gì cả. Phải chăng các nhà chức trách đã nhận ra ông ta là Ðấng Ki-tô? Tuy nhiên, ông này thì chúng ta biết rõ đã xuất thân từ đâu. Còn khi Ðấng Ki-tô tới, thì chẳng có ai biết Người bởi đâu”.\rVậy lúc bấy giờ Chúa Giê-su đang giảng dạy trong đền thờ, Người lớn tiếng nói rằng: “Phải, các ngươi biết Ta, và biết Ta xuất thân từ đâu; Ta không tự Ta mà đến, nhưng thực ra, có Ðấng đã sai Ta mà các ngươi không biết Ngài. Riêng Ta, Ta biết Ngài, vì Ta bởi Ngài, và chính Ngài đã sai Ta”. Bởi thế họ tìm cách bắt Chúa Giê-su, nhưng không ai đụng tới Người, vì chưa tới giờ Người.","end":"Ðó là lời Chúa"}},
+        "3046": {"firstReading":{"excerpt":"Gr 11, 18-20","info":"“Con như chiên con hiền lành bị đem đi giết”.","title":"Trích sách Tiên tri Giê-rê-mi-a.","content":"Lạy Chúa, Chúa đã tỏ cho con và con đã biết; vì Chúa đã chỉ cho con những mưu toan của chúng. Còn con, con như chiên con hiền lành bị đem đi giết. Con đã không biết chúng mưu toan hại con khi chúng nói: “Chúng ta hãy bỏ cây vào bánh của nó, chúng ta hãy diệt trừ nó khỏi đất kẻ sống, và người ta không còn nhớ đến tên nó nữa”.\rNhưng lạy Chúa các đạo binh, Chúa xét xử công minh, và dò xét tâm can. Chớ gì con sẽ thấy Chúa báo thù chúng, vì con đã phó thác việc con cho Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 7, 2-3. 9bc-10. 11-12","response":"Ðáp: Lạy Chúa là Thiên Chúa con, con đến nương nhờ Ngài","verses":["Xướng:  Lạy Chúa là Thiên Chúa con, con đến nương nhờ Ngài, xin cứu con khỏi mọi người đang lùng bắt, và xin giải thoát thân con, kẻo có người như sư tử chộp bắt hồn con, xé nát ra mà không ai cứu gỡ.","Xướng: Xin minh xét cho con, thân lạy Chúa, theo sự công chính và vô tội ở nơi con. Nguyện cho chấm dứt sự độc dữ kẻ ác nhân, và xin Ngài củng cố người hiền đức, khi Ngài lục soát tâm can, ôi Chúa công minh.","Xướng: Thuẫn che thân con là Thiên Chúa, Ðấng cứu độ những kẻ lòng ngay. Thiên Chúa là vị công minh thẩm phán, và Thiên Chúa hăm doạ hằng ngày."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta là sự sống lại và là sự sống; ai tin Ta, sẽ không chết đời đời”."},"gospel":{"excerpt":"Ga 7, 40-53","info":"“Ðấng Ki-tô xuất thân từ Ga-li-lê-a sao?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, sau khi nghe Chúa Giê-su giảng, có nhiều người trong đám dân chúng nói rằng: “Ông này thật là tiên tri”. Kẻ khác nói: “Ông này thật là Ðấng Ki-tô”. Người khác nữa lại nói: “Ðấng Ki-tô xuất thân từ Ga-li-lê-a sao? Nào Kinh Thánh chẳng nói: Ðấng Ki-tô xuất thân bởi dòng dõi Ða-vit, và từ làng Bê-lem, quê hương của Ða-vit?” Vì thế, dân chúng bất đồng ý kiến với nhau về Người. Trong số đó, có một ít kẻ định bắt Người, nhưng không ai dám ra tay bắt Người. Vậy khi những người thừa hành đến với thượng tế và biệt phái, các ông này hỏi họ rằng: “Tại sao các ngươi không điệu nó tới?” Các người thừa hành thưa rằng: “Chẳng hề có ai nói như người ấy”. Các người biệt phái trả lời rằng: “Chớ thì các ngươi cũng bị mê hoặc rồi sao? Trong các vị thủ lãnh và các người biệt phái, có ai tin nó đâu? Chỉ có lũ khốn nạn đó nó không biết gì lề luật”. Ni-cô-đê-mô là người đã tới gặp Chúa Giê-su ban đêm, cũng là người trong nhóm họ, nói với họ rằng: “Chớ thì luật của chúng ta có lên án cho ai mà không nghe họ, hoặc không biết rõ họ làm gì không?” Nhưng họ trả lời rằng: “Hay ông cũng là người Ga-li-lê-a? Hãy đọc kỹ Kinh Thánh, ông sẽ thấy rằng không có tiên tri nào phát xuất từ Ga-li-lê-a”. Sau đó ai về nhà nấy.","end":"Ðó là lời Chúa"}},
+        "3051": {"firstReading":{"excerpt":"Ðn 13, 1-9. 15-17. 19-30. 33-62 (Bài dài)","info":"“Ðây tôi phải chết, dù tôi không làm điều họ vu khống cho tôi”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Trong những ngày ấy, có một người đàn ông ở Ba-by-lon tên là Gio-a-kim cưới bà vợ tên là Su-san-na, con của Khen-ki-gia, bà rất xinh đẹp và có lòng kính sợ Chúa, vì cha mẹ bà là những người công chính, đã dạy con cho biết giữ luật Mô-sê. Lúc đó Gio-a-kim rất giàu có, ông có một khu vườn gần nhà ông, các người Do-thái năng lui tới nhà ông, vì ông là người đáng kính hơn mọi người khác.\rNăm đó, người ta đã đặt lên hai vị thẩm phán trong dân. Chúa đã phán về những kẻ ấy rằng: “Sự gian ác phát sinh từ Ba-by-lon bởi những vị thẩm phán kỳ lão, là những người xem ra như cai quản dân chúng”. Các ông năng lui tới nhà ông Gio-a-kim, nên tất cả những ai kiện tụng, thì tìm gặp các ông ở đó. Ðến trưa, khi dân chúng trở về nhà, bà Su-san-na vào đi bách bộ trong vườn của chồng. Hai vị kỳ lão thấy bà mỗi ngày đi bách bộ trong vườn, thì phải lửa dục mê đắm; hai ông mất lương tâm, không còn muốn đưa mắt nhìn lên trời và không còn muốn nhớ đến sự xét xử công minh.\rHai ông chờ ngày thuận tiện, lúc bà Su-san-na vào vườn như hôm trước và hôm trước nữa, bà chỉ dẫn theo hai cô thiếu nữ, bà muốn tắm trong vườn, vì trời nóng bức. Lúc bấy giờ ở đó không có ai, ngoài hai vị kỳ lão đang ẩn núp và ngắm nhìn bà. Bà nói với hai cô thiếu nữ rằng: “Hãy mang dầu và thuốc thơm cho ta, rồi đóng cửa vườn lại để ta tắm”.\rKhi hai cô thiếu nữ ra khỏi vườn, hai vị kỳ lão đứng lên, tiến lại gần bà Su-san-na và nói: “Kìa cửa vườn đã đóng hết; không ai trông thấy ta đâu, chúng tôi say mê bà, bà hãy chấp nhận lời yêu cầu của chúng tôi và hiến thân cho chúng tôi. Nếu bà không chấp nhận, chúng tôi sẽ làm chứng nói bà phạm tội với một thanh niên, và vì đó, bà đã bảo các cô thiếu nữ ra khỏi vườn”.\rBà Su-san-na thở dài và nói: “Tôi phải khốn cực tư bề; nếu tôi hành động như thế, tôi phải chết, và nếu tôi không hành động như thế, tôi cũng không thoát khỏi tay các ông. Nhưng thà tôi phải tay các ông mà không làm điều gì phạm tội trước mặt Chúa thì hơn!” Ðọan bà tri hô lên, nên hai vị kỳ lão cũng kêu lên tố cáo bà. Và một trong hai ông chạy ra mở cửa vườn. Khi người nhà nghe tiếng kêu la trong vườn, liền đổ xô ra cửa để xem coi việc gì đã xảy ra. Khi nghe hai vị kỳ lão kể lại, thì các đầy tớ rất lấy làm hổ thẹn, vì thiên hạ không khi nào nghe nói như thế về bà Su-san-na.\rNgày hôm sau, khi dân chúng tụ họp tại nhà ông Gio-a-kim, chồng bà Su-san-na, hai vị kỳ lão cũng đến, lòng đầy những ý nghĩ bất chính để tố cáo bà Su-san-na cho người ta giết bà. Hai ông nói với dân chúng: “Các người hãy đi tìm bà Su-san-na, con ông Khen-ki-gia, vợ của ông Gio-a-kim”. Người ta liền sai đi bắt bà, bà đến với cả cha mẹ, con cái và tất cả họ hàng. Nhưng tất cả họ hàng và mọi kẻ biết rõ bà đều khóc lóc.\rKhi hai vị kỳ lão ra đứng giữa dân chúng, hai ông đặt tay lên đầu bà. Bà Su-san-na thì khóc lóc, ngước mắt lên trời, vì tâm hồn bà tin tưởng nơi Chúa. Hai vị kỳ lão nói: “Khi chúng tôi đi bách bộ một mình trong vườn, bà này đi vào với hai đứa tớ gái. Bà bảo hai đứa đóng cửa vườn lại, rồi đi ra. Bấy giờ một chàng thanh niên đã ẩn núp trong vườn tiến tới gần bà và phạm tội với bà. Lúc đó chúng tôi núp ở góc vườn, nhìn thấy tội ác, chúng tôi liền chạy đến bắt quả tang hai người đang phạm tội. Chúng tôi không bắt được chàng thanh niên, vì anh ta khoẻ mạnh hơn chúng tôi, nên đã mở cửa tẩu thoát. Còn bà này chúng tôi bắt được, chúng tôi gạn hỏi chàng thanh niên đó là ai, nhưng bà không muốn nói cho chúng tôi biết. Ðó là điều chúng tôi xin làm chứng”. Dân chúng tin lời hai ông nói, vì hai ông là bậc kỳ lão trong dân và là thẩm phán, nên họ lên án tử hình cho bà.\rBấy giờ bà Su-san-na kêu lớn tiếng rằng: “Lạy Chúa hằng hữu, Ðấng thấu biết mọi bí ẩn và mọi sự trước khi xảy ra, Chúa biết họ làm chứng gian hại con; và đây con phải chết, dù con không làm điều gì mà họ ác ý vu khống cho con”.\rChúa nhậm lời bà. Khi họ dẫn bà đi xử tử, thì Chúa giục thần trí một đứa trẻ tên là Ða-ni-en. Trẻ này kêu lớn rằng: “Còn tôi, tôi không vấy máu bà này”. Mọi người hướng mắt nhìn về đứa trẻ và nói: “Lời mi nói có ý nghĩa gì?” Ðứa trẻ ra đứng giữa mọi người và nói: “Hỡi con cái Ít-ra-en, các ngươi ngu muội thế sao, khi chưa xét xử và chưa biết sự thật thế nào, mà lại lên án một thiếu nữ Ít-ra-en? Các người hãy xét xử lại, vì hai ông đã làm chứng dối hại bà”.\rBấy giờ dân chúng vội vã trở lại. Các kỳ lão nói với Ða-ni-en: “Này, em hãy ngồi giữa chúng tôi và bảo cho chúng tôi, vì Thiên Chúa đã cho em danh dự của bậc kỳ lão”. Ða-ni-en liền nói với họ: “Các người hãy tách biệt hai ông ra, và cho hai ông đứng xa nhau, rồi tôi xét xử hai vị kỳ lão cho”.\rKhi hai ông đứng xa nhau, Ða-ni-en gọi ông thứ nhất đến và nói: “Hỡi lão già độc ác, các tội xưa kia ông đã phạm, giờ đây lại tái phạm, ông đã xét xử bất công, đã lên án kẻ vô tội và tha cho người có tội, mặc dầu có lời Chúa phán: “Ngươi chớ giết kẻ vô tội và người công chính”. Vậy nếu ông thấy bà Su-san-na phạm tội, thì hãy nói hai người phạm tội dưới cây gì?” Ông ta trả lời: “Dưới cây chò”. Ða-ni-en liền nói: “Ðúng là ông nói dối. Ðây sứ thần Chúa được lệnh phân thây ông”. Ða-ni-en cho ông ta lui ra, và bảo dẫn ông kia đến. Ða-ni-en nói với ông này rằng: “Hỡi dòng giống Ca-na-an, chớ không phải dòng giống Giu-đa, sắc đẹp đã mê hoặc ông, và tình dục đã làm cho tâm hồn ông ra đồi bại. Ông đã cư xử như thế đối với các thiếu nữ Ít-ra-en, các cô vì sợ mà phạm tội với ông. Nhưng một thiếu nữ Giuđa không chiều theo tội ác của ông. Vậy bây giờ, ông hãy nói cho tôi biết ông đã bắt được hai người phạm tội dưới cây gì?” Ông ta trả lời: “Dưới cây sồi”. Ða-ni-en liền nói: “Cả ông nữa, ông hoàn toàn nói dối, cho nên thiên thần Chúa, tay cầm gươm, chờ đợi phân thây tiêu diệt ông”.\rBấy giờ tất cả dân chúng hô lớn tiếng và chúc tụng Chúa đã cứu thoát những kẻ trông cậy vào Chúa. Ðoạn họ nghiêm trị hai vị kỳ lão mà Ða-ni-en đã minh chứng rằng hai ông đã vu khống, họ đã xử với hai ông như hai ông đã xử độc ác với kẻ khác. Chiếu theo luật Mô-sê, họ lên án xử tử hai ông, và ngày hôm đó máu người vô tội khỏi đổ oan.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con","verses":["Xướng: Chúa chăn dắt tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Ngài dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa), dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con. – Ðáp.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương. Ðầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":": 2 Cr 6, 2b","content":"Ðây là lúc thuận tiện, đây là ngày cứu độ."},"gospel":{"excerpt":"Ga 8, 1-11","info":"“Ai trong các ngươi sạch tội, hãy ném đá chị này trước đi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su lên núi cây dầu. Và từ sáng sớm, Người lại vào trong đền thờ. Toàn dân đến cùng Người, nên Người ngồi xuống và bắt đầu giảng dạy. Lúc đó, luật sĩ và biệt phái dẫn đến Người một thiếu phụ bị bắt quả tang phạm tội ngoại tình, và họ đặt nàng đứng trước mặt mọi người. Họ hỏi Chúa Giê-su: “Thưa Thầy, thiếu phụ này bị bắt quả tang phạm tội ngoại tình, mà theo luật Mô-sê, hạng phụ nữ này phải bị ném đá. Còn Thầy, Thầy dạy sao?” Họ nói thế có ý gài bẫy Người để có thể tố cáo Người. Nhưng Chúa Giê-su cúi xuống, bắt đầu lấy ngón tay viết trên đất. Vì họ cứ hỏi mãi, nên Người đứng lên và bảo họ: “Ai trong các ngươi sạch tội, hãy ném đá chị này trước đi”. Và Người ngồi xuống và lại viết trên đất. Nghe nói thế họ rút lui từng người một, bắt đầu là những người nhiều tuổi nhất, và còn lại một mình Chúa Giê-su với người thiếu phụ vẫn đứng đó. Bấy giờ Chúa Giê-su đứng thẳng dậy và bảo nàng: “Hỡi thiếu phụ, những người cáo chị đi đâu cả rồi? Không ai kết án chị ư?” Nàng đáp: “Thưa Thầy, không có ai”. Chúa Giê-su bảo: “Ta cũng thế, Ta không kết tội chị. Vậy chị hãy đi, và từ nay đừng phạm tội nữa”.\r(Trong năm C, khi bài Tin Mừng trên đã được đọc ở Chúa Nhật, thì hôm nay đọc bài Tin Mừng  Ga 8, 12-20  dưới đây:)\r“Ta là sự sáng thế gian”.\rTin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.\rKhi ấy, Chúa Giê-su nói với những người biệt phái rằng: “Ta là sự sáng thế gian. Ai theo Ta sẽ không đi trong tối tăm, nhưng sẽ có ánh sáng ban sự sống”.\rNhững người biệt phái nói: “Ông tự làm chứng cho mình, nên chứng của ông không xác thực”.\rChúa Giê-su trả lời: “Cho dầu Ta tự làm chứng về Ta, thì chứng của Ta cũng xác thực, vì Ta biết rõ Ta từ đâu tới và đi về đâu. Còn các ông, các ông không biết Ta từ đâu tới, cũng chẳng biết Ta đi đâu. Các ông đoán xét theo xác thịt; còn Ta, Ta không đoán xét ai. Hoặc nếu Ta có đoán xét, thì sự đoán xét của Ta cũng xác thực, bởi vì không phải chỉ có mình Ta, nhưng còn có Cha Ta là Ðấng đã sai Ta. Vả lại trong luật của các ông có ghi: Chứng của hai người thì xác thực. Ta tự làm chứng về Ta, và Ðấng đã sai Ta, là Chúa Cha, cũng làm chứng cho Ta nữa”.\rHọ nói: “Cha của ông đâu?” Chúa Giê-su trả lời: “Các ông không biết Ta, cũng chẳng biết Cha Ta. Nếu các ông biết Ta thì cũng sẽ biết Cha Ta”.\rChúa Giê-su nói những lời trên gần nơi để Kho Tiền, khi Người giảng dạy trong đền thờ. Thế mà không ai bắt Người, vì chưa đến giờ Người.","end":"Ðó là lời Chúa"}},
+        "3052": {"firstReading":{"excerpt":"Ds 21, 4-9","info":"“Kẻ nào bị rắn cắn mà nhìn lên con rắn đồng, thì được sống”.","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, các người Do-thái rời bỏ núi Hor, theo con đường về phía Biển Ðỏ, để vòng quanh xứ Ê-đôm. Dân chúng đi đường xa mệt nhọc, nên nản chí, kêu trách Chúa và Mô-sê rằng: “Tại sao các người dẫn chúng tôi ra khỏi Ai-cập, cho chúng tôi chết trong hoang địa. Không bánh ăn, không nước uống, chúng tôi đã ngán thức ăn nhàm chán này”.\rBởi đó Chúa cho rắn lửa bò ra cắn chết nhiều người, họ chạy đến cùng Mô-sê và thưa rằng: “Chúng tôi đã phạm tội, vì chúng tôi nói những lời phản nghịch Chúa và phản nghịch ông. Xin ông cầu nguyện để Chúa cho chúng tôi khỏi rắn cắn”. Mô-sê cầu nguyện cho dân. Và Chúa phán cùng Mô-sê rằng: “Ngươi hãy đúc một con rắn đồng và treo nó lên làm dấu; kẻ nào bị rắn cắn mà nhìn lên rắn đồng, thì được sống”. Mô-sê đúc một con rắn đồng, treo nó lên làm dấu, và kẻ nào bị rắn cắn mà nhìn lên rắn đồng, thì được chữa lành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 101, 2-3. 16-18. 19-21","response":"Ðáp: Lạy Chúa, xin nhậm lời con cầu nguyện, và cho tiếng con kêu lên tới Chúa","verses":["Xướng: Lạy Chúa, xin nhậm lời con cầu nguyện, và cho tiếng con kêu lên tới Chúa. Xin Chúa đừng ẩn giấu thánh nhan, trong ngày con phải phiền muộn. Xin Chúa lắng tai nghe con, khi con cầu nguyện, Chúa mau nhậm lời.","Xướng: Lạy Chúa, muôn dân sẽ kính tôn danh thánh Chúa, và mọi vua trên địa cầu sẽ quý trọng vinh quang Ngài; khi Chúa sẽ tái lập Si-on, Ngài xuất hiện trong vinh quang xán lạn; Ngài sẽ đoái nghe lời nguyện kẻ túng nghèo, và không chê lời họ kêu van.","Xướng: Những điều này được ghi lại cho thế hệ mai sau, và dân tộc được tác tạo sẽ ca tụng Thiên Chúa. Từ thánh điện cao sang Chúa đã đoái nhìn, từ trời cao Chúa đã ngó xuống trần thế, để nghe tiếng than khóc của tù nhân, để giải thoát kẻ bị lên án tử."]},"alleluia":{"verse":":","content":"Hôm nay các ngươi đừng cứng lòng, nhưng hãy nghe tiếng Chúa phán."},"gospel":{"excerpt":"Ga 8, 21-30","info":"“Khi nào các ông đưa Con Người lên cao, các ông sẽ nhận biết Ta là ai”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su nói với những người biệt phái rằng: “Ta ra đi, các ông sẽ tìm kiếm Ta và sẽ chết trong tội của các ông. Nơi Ta đi các ông không thể tới được”.\rNgười Do-thái nói với nhau rằng: “Ông ta sắp tự vẫn hay sao mà lại nói “Nơi Ta đi các ông không thể tới được”?”\rChúa Giê-su nói tiếp: “Các ông thuộc về hạ giới; còn Ta, Ta bởi trời cao. Các ông thuộc về thế gian này; còn Ta, Ta không thuộc về thế gian này. Ta đã nói: Các ông sẽ chết trong tội các ông. Vì, nếu các ông không tin Ta, các ông sẽ chết trong tội của các ông”.\rVậy họ liền hỏi: “Ông là ai?” Chúa Giê-su trả lời: “Là Nguyên thuỷ đang nói với các ông đây! Ta có nhiều điều phải nói và đoán xét về các ông, nhưng Ðấng đã sai Ta là Ðấng chân thật, và điều Ta nói ra trong thế gian đây, chính là điều Ta đã nghe biết ở Ngài”.\rNhưng họ không hiểu là Người nói về Chúa Cha, vì thế Chúa Giê-su nói: “Khi nào các ông đưa Con Người lên cao, các ông sẽ nhận biết Ta là ai. Ta không tự mình làm điều gì. Ðiều Ta nói, chính là điều Chúa Cha đã dạy Ta. Ðấng đã sai Ta đang ở với Ta; Ngài không để Ta một mình, bởi vì Ta luôn luôn làm điều đẹp lòng Ngài”. Khi Người nói những điều ấy thì có nhiều kẻ tin vào Người.","end":"Ðó là lời Chúa"}},
+        "3053": {"firstReading":{"excerpt":"Ðn 3, 14-20. 91-92. 95","info":"“Người đã sai thiên thần của Người đến giải thoát các tôi tớ Người”.","title":"Trích sách Tiên tri Ðaniel.","content":"Trong những ngày ấy, vua Nabucôđônôsor nói rằng: “Hỡi Sidrach, Misach và Abđênagô, có phải các ngươi không chịu thờ các thần của ta và lạy tượng vàng ta đã dựng không? Vậy nếu các ngươi đã sẵn sàng, thì lúc nghe tiếng kèn, tiếng huyền cầm, tiếng còi, quyển sáo và các thứ nhạc khí, các ngươi phải sấp mình thờ lạy tượng ta đúc. Nhưng nếu các ngươi không chịu sấp mình thờ lạy, lập tức các ngươi sẽ bị ném vào lò lửa cháy bừng. Và coi Chúa nào sẽ cứu thoát các ngươi khỏi tay ta”. Sidrach, Misach và Abđênagô trả lời với vua Nabucôđônôsor rằng: “Tâu lạy vua, chúng tôi không cần trả lời cùng vua về việc này, vì đây Thiên Chúa chúng tôi thờ có thể cứu thoát chúng tôi khỏi lò lửa cháy bừng, và khỏi tay đức vua; nhược bằng Thiên Chúa chúng tôi không muốn thì, tâu lạy vua, vua nên biết rằng chúng tôi không thờ các thần của vua và không lạy tượng vàng của vua dựng lên”.\rBấy giờ vua Nabucôđônôsor thịnh nộ, mặt biến sắc, nhìn thẳng vào Sidrach, Misach và Abđênagô, ông ra lệnh đốt lò nóng hơn thường gấp bảy lần, và truyền lệnh các tráng sĩ trong cơ binh trói chân Sidrach, Misach và Abđênagô, và ném vào lò lửa cháy bừng.\rBấy giờ vua Nabucôđônôsor bỡ ngỡ, vội vã đứng lên và nói với các triều thần rằng: “Chớ thì ta không ném ba người bị trói vào lò lửa sao?” Các ông trả lời với vua rằng: “Tâu lạy vua, thật có”. Vua nói: “Ðây ta thấy có bốn người không bị trói đi lại giữa lò lửa mà không hề hấn gì; dáng điệu người thứ tư giống như Con Thiên Chúa”. Vua Nabucôđônôsor nói tiếp: “Chúc tụng Chúa của Sidrach, Misach và Abđênagô, Ðấng đã sai thiên thần của Người đến giải thoát các tôi tớ tin cậy Người, không chịu vâng phục mệnh lệnh của nhà vua và thà hy sinh thân xác, chớ không phục luỵ thờ lạy Chúa nào khác ngoài Thiên Chúa của họ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","response":"Ðáp: Chúa đáng ca ngợi và tôn vinh muôn đời","verses":["Xướng:Lạy Chúa là Thiên Chúa cha ông chúng con, Chúa đáng chúc tụng, đáng ca ngợi, tôn vinh và tán tụng muôn đời. Chúc tụng thánh danh vinh quang Chúa, đáng ca ngợi, tôn vinh và tán tụng muôn đời.","Xướng: Chúa đáng chúc tụng trong đền thánh vinh quang Chúa, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa ngự lên ngai vương quyền Chúa, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa, Ðấng nhìn thấu vực thẳm và ngự trên các Thần Vệ Binh, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa ngự trên bầu trời, đáng ca ngợi và tôn vinh muôn đời."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta là sự sống lại và là sự sống; ai tin Ta, sẽ không chết đời đời”."},"gospel":{"excerpt":" Ga 8, 31-42","info":"“Nếu Chúa Con giải thoát các ngươi, thì các ngươi thực sự được tự do”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu nói với những người Do-thái đã tin nơi Ngài rằng: “Nếu các ngươi cứ ở trong lời Ta, các ngươi sẽ thật là môn đệ của Ta, và sẽ được biết sự thật, và sự thật giải thoát các ngươi”. Họ thưa lại Người: “Chúng tôi là con cháu Abraham, và chưa bao giờ làm nô lệ ai cả. Tại sao ông lại nói “Các ngươi sẽ được tự do”?”. Chúa Giêsu trả lời rằng: “Quả thật, quả thật, Ta bảo các ngươi: Hễ ai phạm tội, thì làm nô lệ cho tội. Mà tên nô lệ không ở mãi trong nhà; người con mới ở vĩnh viễn trong nhà. Vậy nếu Chúa Con giải thoát các ngươi, thì các ngươi sẽ được tự do thực sự. Ta biết các ngươi là con cháu Abraham, thế mà các ngươi lại tìm giết Ta: vì lời Ta không thấm nhập vào lòng các ngươi. Ta nói những điều Ta đã thấy nơi Cha Ta. Còn các ngươi, các ngươi làm điều các ngươi đã thấy nơi cha các ngươi”. Họ đáp lại: “Cha chúng tôi chính là Abraham!” Chúa Giêsu nói: “Nếu thực các ngươi là con cháu Abraham, thì các ngươi làm công việc của Abraham! Nhưng các ngươi đang tìm giết Ta, là người đã nói cho các ngươi biết sự thật mà Ta nghe tự Thiên Chúa. Ðiều đó Abraham đã không làm! Các ngươi đang làm việc của cha các ngươi!” Họ lại nói: “Chúng tôi không phải là những đứa con hoang! Chúng tôi chỉ có một Cha là Thiên Chúa!” Chúa Giêsu nói: “Nếu Thiên Chúa là Cha các ngươi, thì các ngươi yêu mến Ta, vì Ta tự Thiên Chúa mà đến; vì Ta không tự mình mà đến, nhưng chính Ngài đã sai Ta đến”.","end":"Ðó là lời Chúa"}},
+        "3054": {"firstReading":{"excerpt":"St 17, 3-9","info":"“Ngươi sẽ làm tổ phụ nhiều dân tộc”.","title":"Trích sách Sáng Thế.","content":"Trong ngày ấy, Áp-ram sấp mình xuống đất và Thiên Chúa phán cùng ông rằng: “Này Ta đây, Ta giao ước với ngươi, ngươi sẽ làm tổ phụ nhiều dân tộc. Thiên hạ sẽ không còn gọi ngươi là Áp-ram nữa, nhưng sẽ gọi là Áp-ra-ham, vì Ta đặt ngươi làm tổ phụ nhiều dân tộc. Ta sẽ ban cho ngươi con cháu đông đúc. Ta sẽ đặt ngươi làm tổ phụ nhiều dân tộc, và nhiều vua chúa xuất thân từ ngươi. Ta sẽ thiết lập giao ước vĩnh viễn giữa Ta với ngươi cùng con cháu ngươi từ thế hệ này qua thế hệ khác, để Ta trở nên Thiên Chúa của ngươi và của dòng dõi ngươi. Ta sẽ ban cho ngươi và dòng dõi ngươi đất mà ngươi cư ngụ, sẽ cho ngươi làm chủ vĩnh viễn toàn cõi đất Canaan và Ta sẽ là Chúa của chúng”.\rChúa lại phán cùng Áp-ra-ham rằng: “Phần ngươi và dòng dõi ngươi, từ đời nọ sang đời kia, hãy giữ lời giao ước của Ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 4-5. 6-7. 8-9","response":"Ðáp: Tới muôn đời Chúa vẫn nhớ lời minh ước","verses":["Xướng: Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn. Hãy nhớ lại những điều kỳ diệu Chúa đã làm, những phép lạ và những điều Ngài phán quyết.","Xướng: Hỡi miêu duệ Áp-ra-ham là tôi tớ của Ngài, hỡi con cháu Gia-cóp, những kẻ được Ngài kén chọn, chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Ngài bao trùm khắp cả địa cầu.","Xướng: Tới muôn đời Ngài vẫn nhớ lời minh ước, lời hứa mà Ngài đã an bài tới muôn thế hệ, lời minh ước Ngài đã ký cùng Áp-ra-ham, lời thề hứa Ngài đã thề với I-sa-ac."]},"alleluia":{"verse":":","content":"Các ngươi hãy tìm điều lành, chớ đừng tìm điều dữ, để các ngươi được sống và Chúa sẽ ở cùng các ngươi."},"gospel":{"excerpt":"Ga 8, 51-59","info":"“Cha các ngươi là Áp-ra-ham đã hân hoan vì nghĩ sẽ được thấy ngày của Ta”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su nói với người Do-thái rằng: “Quả thật, quả thật, Ta bảo các ngươi: Nếu ai giữ lời Ta, thì muôn đời sẽ không phải chết”. Người Do-thái lại nói: “Bây giờ thì chúng tôi biết rõ ông bị quỷ ám. Áp-ra-ham đã chết và các tiên tri cũng vậy, thế mà ông lại nói: “Ai giữ lời Ta, thì không bao giờ phải chết”. Chẳng lẽ ông lại lớn hơn cha chúng tôi là Áp-ra-ham sao? Ngài đã chết, các tiên tri cũng đã chết. Ông cho mình là ai?”\rChúa Giê-su trả lời: “Nếu Ta tự tôn vinh chính mình, thì vinh quang của Ta sẽ không giá trị gì. Chính Cha Ta tôn vinh Ta. Người là chính Ðấng các ngươi xưng là Thiên Chúa của các ngươi. Vậy mà các ngươi không biết Người. Còn Ta, Ta biết Người. Nếu Ta nói Ta không biết Người, thì Ta cũng nói dối như các ngươi. Nhưng Ta biết Người, và Ta giữ lời Người. Cha các ngươi là Áp-ra-ham đã hân hoan, vì nghĩ sẽ được thấy ngày của Ta. Ông đã thấy và đã vui mừng”.\rNgười Do-thái liền nói: “Ông chưa được năm mươi tuổi mà đã trông thấy Áp-ra-ham rồi sao?” Chúa Giê-su trả lời: “Quả thật, quả thật, Ta nói với các ngươi: Khi Áp-ra-ham chưa sinh ra, thì Ta đã có rồi”.\rBấy giờ họ lượm đá ném Ngài, nhưng Chúa Giêsu ẩn mình đi ra khỏi đền thờ.","end":"Ðó là lời Chúa"}},
+        "3055": {"firstReading":{"excerpt":"Gr 20, 10-13","info":"“Chúa ở cùng tôi như người lính chiến hùng dũng”.","title":"Trích sách Tiên tri Giê-rê-mi-a.","content":"Tôi đã nghe nhiều người thóa mạ và chế nhạo rằng: “Người này gieo khủng bố khắp nơi. Chúng ta hãy tố cáo nó, chúng ta hãy tố cáo nó”. Tất cả bạn hữu tôi rình tôi vấp ngã mà nói rằng: “Ước gì nó bị lừa dối để chúng ta thắng nó và sẽ trả thù nó”. Nhưng Chúa ở cùng tôi như người lính chiến hùng dũng; vì thế, những kẻ bắt bớ tôi sẽ ngã quỵ và kiệt sức. Chúng sẽ thất bại bẽ bàng, chuốc lấy sự hổ nhục muôn đời, không bao giờ quên được.\rCòn Chúa, lạy Chúa các đạo binh, Ðấng xét xử người công chính, thấu suốt tâm can, lạy Chúa, ước gì con sẽ được thấy Chúa trả thù chúng cho con, vì con đã tỏ bày công việc con cho Chúa.\rHãy hát mừng Chúa, hãy ca tụng Chúa, vì Người đã cứu thoát mạng sống người bất hạnh khỏi tay kẻ dữ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 5-6. 7","response":"Ðáp: Trong cơn đại hoạ, tôi đã cầu khẩn Chúa, tôi đã kêu xin Thiên Chúa của tôi","verses":["Xướng: Lạy Chúa là dũng lực con, con yêu mến Chúa, lạy Chúa là Tảng Ðá, chiến luỹ, cứu tinh.","Xướng: Lạy Chúa là Thiên Chúa, là sơn động chỗ con nương mình, là khiên thuẫn, là uy quyền cứu độ, là sức hộ phù con. Con xướng ca khen ngợi cầu cứu Chúa, và con sẽ được cứu thoát khỏi tay quân thù.","Xướng: Sóng tử thần đã bao bọc thân con, và thác nước ôn dịch làm con kinh hãi. Thừng chão địa ngục đã quấn lấy con, lưới tử thần đã chụp bắt con rồi.","Xướng: Trong cơn đại hoạ, tôi đã cầu khẩn Chúa, tôi đã kêu xin Thiên Chúa của tôi; từ nơi thánh đài, Ngài nghe rõ tiếng, và tiếng tôi kêu thấu đến tai Ngài."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta không muốn kẻ gian ác phải chết, nhưng muốn nó ăn năn sám hối và được sống”."},"gospel":{"excerpt":"Ga 10, 31-42","info":"“Họ tìm bắt Người, nhưng Người thoát khỏi tay họ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, người Do-thái lượm đá để ném Chúa Giê-su. Người lên tiếng hỏi rằng: “Ta đã cho các ngươi thấy nhiều việc tốt lành bởi Cha Ta. Vậy vì việc nào mà các ngươi muốn ném đá Ta?”\rNgười Do-thái trả lời: “Chúng tôi muốn ném đá ông không phải vì việc lành, nhưng vì một lời lộng ngôn, bởi vì ông chỉ là người mà lại tự cho mình là Thiên Chúa”.\rChúa Giêsu đáp lại: “Nào trong sách luật của các ngươi không có chép câu này: “Ta đã nói: các ngươi là thần”? Vậy nếu sách luật gọi những kẻ được nghe lời Chúa là thần, mà Kinh Thánh không thể huỷ diệt được, thì tại sao các ngươi nói với Ðấng đã được Chúa Cha thánh hóa và sai đến trong trần gian rằng “Ông nói lộng ngôn”, vì Ta đã nói Ta là Con Thiên Chúa? Nếu Ta không làm những việc của Cha Ta, thì các ngươi đừng tin Ta. Nhưng nếu Ta làm những việc đó, thì dầu các ngươi không muốn tin Ta, cũng hãy tin vào các việc đó, để các ngươi biết và tin rằng: Cha ở trong Ta, và Ta ở trong Cha”.\rBởi đó họ tìm cách bắt Người, nhưng Người thoát khỏi tay họ. Người lại qua bên kia sông Gio-đan, nơi trước kia Gio-an đã làm phép rửa. Và Người ở lại đó. Có nhiều kẻ đến cùng Người. Họ nói: “Gio-an đã không làm một phép lạ nào. Nhưng mọi điều Gio-an nói về người này đều đúng cả”. Và có nhiều kẻ tin Người.","end":"Ðó là lời Chúa"}},
+        "3056": {"firstReading":{"excerpt":"Ed 37, 21-28","info":"“Ta sẽ làm cho chúng trở nên dân tộc duy nhất”.","title":"Trích sách Tiên tri Ê-dê-ki-en.","content":"Ðây Chúa là Thiên Chúa phán: “Này Ta sẽ đem con cái Ít-ra-en ra khỏi các dân tộc mà chúng đang cư ngụ; từ khắp nơi, Ta sẽ quy tụ chúng lại và đưa chúng về quê hương. Ta sẽ làm cho chúng trở nên dân tộc duy nhất sống trong đất của chúng, ở trên núi Israel; chỉ có một vua cai trị chúng; chúng sẽ không còn là hai dân tộc, cũng chẳng còn chia làm hai nước nữa.\rChúng sẽ không còn dơ nhớp vì thần tượng, vì các điều ghê tởm và mọi tội lỗi của chúng. Ta sẽ cứu thoát chúng khỏi mọi nơi tội lỗi. Ta sẽ thanh tẩy chúng; chúng sẽ là dân Ta, và Ta sẽ là Thiên Chúa của chúng. Ðavit tôi tớ Ta sẽ là vua của chúng, chúng sẽ chỉ có một chủ chăn mà thôi. Chúng sẽ tuân giữ và thực thi các giới răn của Ta. Chúng sẽ cư ngụ trong đất mà Ta đã ban cho Gia-cóp tôi tớ Ta, và là đất tổ phụ chúng đã cư ngụ; chúng và con cái cùng cháu chắt của chúng sẽ cư ngụ ở đó đến muôn đời. Và Ða-vít, tôi tớ Ta, sẽ là vua của chúng đến muôn đời. Ta sẽ ký kết với chúng một giao ước hoà bình: Ðó sẽ là một giao ước vĩnh cửu đối với chúng. Ta sẽ gầy dựng chúng, sẽ cho chúng sinh sản ra nhiều và sẽ thiết lập nơi thánh Ta giữa chúng cho đến muôn đời. Nhà Tạm Ta sẽ ở giữa chúng. Ta sẽ là Chúa của chúng, và chúng sẽ là dân Ta. Các dân tộc sẽ biết rằng Ta là Chúa, Ðấng thánh hoá Ít-ra-en, khi đã lập nơi thánh Ta ở giữa chúng đến muôn đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","response":"Ðáp: Chúa sẽ gìn giữ chúng ta như mục tử chăn dắt đoàn chiên mình","verses":["Xướng: Hỡi các dân tộc, hãy nghe lời Chúa, hãy công bố lời Chúa trên các đảo xa xăm; hãy nói rằng: “Ðấng đã phân tán Ít-ra-en, sẽ quy tụ nó lại, và sẽ gìn giữ nó, như mục tử chăn dắt đoàn chiên mình”.","Xướng: Vì Chúa đã giải phóng Gia-cóp, giờ đây với cánh tay mạnh mẽ hơn, Người cứu thoát nó. Chúng sẽ đến và ca hát trên núi Si-on, chúng sẽ đổ xô về phía hạnh phúc của Người.","Xướng: Bấy giờ người thiếu nữ sẽ hân hoan nhảy mừng, các thanh niên và các cụ già cũng làm y như thế; Ta sẽ biến đổi tang chế của chúng ra niềm hân hoan, sẽ an ủi chúng và cho chúng hết đau khổ."]},"alleluia":{"verse":":","content":"Chúa phán: “Ta không muốn kẻ gian ác phải chết, nhưng muốn nó ăn năn sám hối và được sống”."},"gospel":{"excerpt":"Ga 11, 45-56","info":"“Ðể quy tụ con cái Thiên Chúa đang tản mát về một mối”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, trong những người đến thăm Ma-ri-a và đã chứng kiến việc Ngài làm, có nhiều kẻ đã tin vào Chúa Giê-su. Nhưng trong nhóm có kẻ đi gặp người biệt phái và thuật lại các việc Chúa Giê-su đã làm. Do đó, các thượng tế và biệt phái họp công nghị, và nói: “Chúng ta phải xử trí sao đây? Vì người này làm nhiều phép lạ. Nếu chúng ta để mặc người ấy làm như thế, thì mọi người sẽ tin theo và quân Rô-ma sẽ kéo đến phá huỷ nơi này và dân tộc ta”. Một người trong nhóm là Cai-pha làm thượng tế năm đó, nói với họ rằng: “Quý vị không hiểu gì cả! Quý vị không nghĩ rằng thà một người chết thay cho dân, còn hơn là toàn dân bị tiêu diệt”. Không phải tự ông nói điều đó, nhưng với danh nghĩa là thượng tế năm ấy, ông đã nói tiên tri rằng Chúa Giê-su phải chết thay cho dân, và không phải cho dân mà thôi, nhưng còn để quy tụ con cái Thiên Chúa đang tản mát về một mối.\rBởi vậy, từ ngày đó, họ quyết định giết Người. Vì thế Chúa Giê-su không còn công khai đi lại giữa người Do-thái nữa. Người đi về miền gần hoang địa, đến thành phố tên là Ép-ra-im, và ở lại đó với các môn đệ. Khi đó đã gần đến Lễ Vượt Qua của người Do-thái. Có nhiều người từ các miền lên Giê-ru-sa-lem trước lễ, để được thanh tẩy. Họ tìm Chúa Giê-su; họ đứng trong đền thờ và bàn tán với nhau: “Anh em nghĩ sao? Người có đến hay không?” Còn các thượng tế và biệt phái đã ra lệnh rằng nếu ai biết Người ở đâu, thì phải tố cáo để họ bắt Người.","end":"Ðó là lời Chúa"}},
+        "3061": {"firstReading":{"excerpt":"Is 42, 1-7","info":"“Người sẽ không lớn tiếng; không ai nghe tiếng người ở công trường“.","title":"Trích sách Tiên tri I-sai-a.","content":"Này là tôi tớ Ta mà Ta nâng đỡ, là người Ta tuyển chọn, Ta hài lòng về người. Ta ban Thần trí Ta trên người. Người sẽ xét xử chư dân. Người sẽ không lớn tiếng, không thiên vị ai, không ai nghe tiếng người ở công trường. Người không bẻ gãy cây lau bị giập, không dập tắt tim đèn còn khói. Người sẽ xét xử trong công lý. Người sẽ không buồn phiền, không nao núng, cho đến khi đặt công lý trên mặt đất, vì các đảo mong đợi lề luật người.\rChúa là Thiên Chúa đã phán như thế, Người là Ðấng đã tác tạo và mở rộng các tầng trời, đã củng cố mặt đất và các sản phẩm của nó, đã ban hơi thở cho dân sống trên mặt đất và ban sức sống cho những kẻ trên đó. Ta là Chúa, Ta đã gọi con trong công lý, đã cầm lấy tay con, đã gìn giữ con, đã đặt con thành giao ước của dân, và nên ánh sáng của chư dân, để con mở mắt cho người mù, đưa ra khỏi tù những người bị xiềng xích, đưa ra khỏi ngục những người ngồi trong tối tăm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 2. 3. 13-14","response":"Ðáp: Chúa là sự sáng, và là Ðấng cứu độ tôi","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Khi những đứa ác xông vào để xả thịt tôi, bọn thù ghét tôi sẽ xiêu té và ngã gục.","Xướng: Nếu thiên hạ đồn binh hạ trại để hại tôi, lòng tôi sẽ không kinh hãi; nếu thiên hạ gây chiến với tôi, tôi vẫn tự tin.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa!"]},"alleluia":{"verse":":","content":"Kính chào Vua chúng con: Chỉ có nhà Vua là người thương hại đến những lỗi lầm của chúng con."},"gospel":{"excerpt":"Ga 12, 1-11","info":"“Hãy để mặc cô ấy làm công việc chỉ về ngày táng xác Ta”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Sáu ngày trước Lễ Vượt Qua, Chúa Giê-su đến làng Bê-ta-ni-a, nơi La-da-rô đã chết được Người cho sống lại. Tại đây người ta dọn bữa cho Người ăn. Mác-ta hầu bàn. Còn La-da-rô cũng là một trong những kẻ đồng bàn với Người. Bấy giờ Ma-ri-a lấy một cân dầu thơm, dầu cam tùng hảo hạng, và xức chân Chúa Giê-su, rồi lấy tóc mình mà lau. Hương thơm toả đầy nhà. Một môn đệ là Giu-đa Ít-ca-ri-ốt, kẻ sẽ phản nộp Người, liền nói: “Sao không bán dầu thơm đó lấy ba trăm đồng mà cho người nghèo khó?” Hắn nói thế không phải vì lo lắng cho người nghèo khó đâu, mà vì hắn là tên trộm cắp, lại được giữ túi tiền, nên bớt xén các khoản tiền người ta bỏ vào đó. Vậy Chúa Giê-su nói: “Hãy để mặc cô ấy làm công việc chỉ về ngày táng xác Ta. Vì các ngươi sẽ có người nghèo luôn bên cạnh các ngươi, còn Ta, các ngươi sẽ không gặp Ta mãi đâu”.\rCó đám đông người Do-thái biết Người đang ở đó, nên tuôn đến, không những vì Chúa Giê-su, mà còn để thấy La-da-rô, kẻ đã chết được Người cho sống lại. Thế là các Thượng tế quyết định giết luôn cả La-da-rô, vì tại ông mà nhiều người Do-thái đã bỏ họ và tin theo Chúa Giê-su.","end":"Ðó là lời Chúa"}},
+        "3062": {"firstReading":{"excerpt":"Is 49, 1-6","info":"“Ta đã làm cho con nên sự sáng các dân tộc, để con trở thành ơn cứu độ Ta ban cho đến tận cùng trái đất”. (Bài Ca thứ hai của người Tôi tớ Chúa)","title":"Trích sách Tiên tri Isaia.","content":"Hỡi các đảo, hãy nghe tôi đây; hỡi các dân tộc miền xa xăm, hãy chú ý: Chúa đã kêu gọi tôi từ khi tôi còn trong lòng mẹ, đã nhớ đến tên tôi khi tôi còn ở trong bụng mẹ. Người đã làm cho miệng tôi nên như lưỡi gươm sắc bén, đã bảo vệ tôi dưới bóng cánh tay Người, đã làm cho tôi nên như mũi tên nhọn, và đã ẩn giấu tôi trong ống đựng tên. Và Người đã phán cùng tôi: “Hỡi Ít-ra-en, ngươi là tôi tớ Ta, vì Ta sẽ được vinh hiển nơi ngươi”. Và tôi thưa: “Tôi đã vất vả mất công vô cớ, tôi đã phí sức vô ích; nhưng công lý của tôi ở nơi Chúa; và phần thưởng của tôi ở nơi Thiên Chúa”. Và bây giờ Chúa phán: “Người là Ðấng đã tác tạo tôi thành tôi tớ Người, khi tôi còn trong lòng mẹ, để đem Gia-cóp về cho Người, và quy tụ Ít-ra-en chung quanh Người. Tôi được vinh hiển trước mặt Chúa, và Thiên Chúa là sức mạnh tôi. Người đã phán: “Con là tôi tớ Ta, để tái lập các chi họ Gia-cóp, để dẫn đưa các người Ít-ra-en sống sót trở về; này đây Ta làm cho con nên ánh sáng các dân tộc, để con trở thành ơn cứu độ Ta ban cho đến tận bờ cõi trái đất”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15 và 17","response":"Ðáp: Miệng con sẽ loan truyền sự Chúa công minh","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con tủi hổ muôn đời. Theo đức công minh Chúa, xin cứu nguy và giải thoát con, xin ghé tai về bên con và giải cứu.","Xướng: Xin trở nên thạch động để con dung thân, và chiến luỹ vững bền hầu cứu độ con: vì Chúa là Thạch Ðầu, là chiến luỹ của con.Lạy Chúa con, xin cứu con khỏi tay đứa ác.","Xướng: Bởi Ngài là Ðấng con mong đợi, thân lạy Chúa; lạy Chúa, Ngài là hy vọng của con tự hồi thanh xuân. Ngay từ trong bụng mẹ, con đã nép mình vào Chúa, từ trong thai mẫu, Chúa là Ðấng bảo vệ con.","Xướng: Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày kể ra ơn Ngài giúp đỡ, thực con không sao mà kể cho cùng. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể những sự lạ của Ngài."]},"alleluia":{"verse":":","content":"Kính lạy Vua chúng con, Ðấng vâng lời Chúa Cha, Ngài đã bị dẫn đi để chịu đóng đinh vào thập giá, như con chiên hiền lành bị dẫn đi giết."},"gospel":{"excerpt":"Ga 13, 21-33. 36-38","info":"“Một người trong các con sẽ nộp Thầy... Trước khi gà gáy con đã chối Thầy ba lần”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, (Chúa Giê-su đang ngồi ăn với các môn đệ), tâm hồn Người bị xao xuyến, nên Người tuyên bố: “Thật, Thầy nói thật cho các con biết, một người trong các con sẽ nộp Thầy”. Các môn đệ nhìn nhau phân vân không biết Người nói về ai. Có một môn đệ được Chúa Giê-su yêu quý, đang ở bàn ăn gần lòng Chúa Giê-su. Vậy Phê-rô làm hiệu cho môn đệ ấy và nói: “Hỏi xem Thầy nói về ai đó”. Môn đệ ấy nghiêng mình sát ngực Chúa Giê-su và hỏi Người: “Thưa Thầy, ai vậy?” Chúa Giê-su trả lời: “Thầy chấm miếng bánh trao cho ai là người đó”. Và Người chấm một miếng bánh trao cho Giu-đa, con Si-mon Ít-ca-ri-ốt. Ăn miếng bánh rồi, Sa-tan nhập vào hắn. Chúa Giê-su nói với hắn: “Con tính làm gì thì làm mau đi”. Nhưng những người đang ngồi ăn không một ai hiểu được vì sao Người lại nói với hắn như vậy. Có nhiều người tưởng tại Giu-đa giữ túi tiền, nên Chúa Giê-su bảo hắn: Hãy mua những gì chúng ta cần dùng trong dịp lễ, hoặc Người bảo hắn bố thí cho người nghèo. Vậy sau khi nhận miếng bánh đó, Giu-đa liền đi ra. Bấy giờ là đêm tối. Khi Giu-đa đi rồi, Chúa Giê-su phán: “Bây giờ Con Người được vinh hiển, và Thiên Chúa đã được vinh hiển nơi Người. Nếu Thiên Chúa được vinh hiển nơi Người, thì Thiên Chúa lại cho Người được vinh hiển nơi chính Mình, và Thiên Chúa sẽ cho Người được vinh hiển! Các con yêu quý, Thầy chỉ còn ở với các con một ít nữa. Các con sẽ tìm Thầy, và như Thầy đã nói với người Do-thái: “Nơi Ta đi, các ngươi không thể đến được”, nay Thầy cũng nói với các con như vậy”.\rSi-mon Phê-rô hỏi Người: “Thưa Thầy, Thầy đi đâu?” Chúa Giê-su trả lời: “Nơi Thầy đi, nay con chưa thể theo tới đó được, nhưng sau này con sẽ theo Thầy”.\rPhê-rô thưa lại: “Tại sao con lại không theo Thầy ngay bây giờ được! Con sẽ liều mạng sống con vì Thầy”. Chúa Giê-su nói: “Con liều mạng sống vì Thầy ư? Thật, Thầy nói thật cho con biết: trước khi gà gáy, con đã chối Thầy ba lần”.","end":"Ðó là lời Chúa"}},
+        "3063": {"firstReading":{"excerpt":"Is 50, 4-9a","info":"“Tôi đã không che mặt tránh những người chửi mắng, nhưng tôi biết tôi sẽ không phải thẹn thùng”. (Bài ca thứ ba của người Tôi Tớ Chúa)","title":"Trích sách Tiên tri I-sai-a.","content":"Chúa đã ban cho tôi miệng lưỡi đã được huấn luyện, để tôi biết dùng lời nói nâng đỡ kẻ nhọc nhằn. Mỗi sáng Người đánh thức tôi, Người thức tỉnh tai tôi, để nghe lời Người giáo huấn. Thiên Chúa đã mở tai tôi mà tôi không cưỡng lại và cũng chẳng thối lui. Tôi đã đưa lưng cho kẻ đánh tôi, đã đưa má cho kẻ giật râu, tôi đã không che mặt giấu mày, tránh những lời nhạo cười và những người phỉ nhổ tôi. Vì Chúa nâng đỡ tôi, nên tôi không hổ thẹn: nên tôi trơ mặt chai như đá, tôi biết tôi sẽ không phải hổ thẹn. Ðấng xét tôi vô tội ở gần tôi, ai còn tranh tụng với tôi được, chúng ta hầu tòa. Ai là kẻ thù địch của tôi, hãy đến đây! Này đây Thiên Chúa bênh đỡ tôi, ai dám kết tội tôi?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 8-10. 21bcd-22. 31 và 33-34","response":"Ðáp: Lạy Chúa, xin nhậm lời con theo lượng cả đức từ bi, đây là lúc biểu lộ tình thương","verses":["Xướng: Sở dĩ vì Chúa mà con chịu nhục, và thẹn thò làm nhơ nhuốc mặt con. Con bị những người anh em coi như khách lạ, bị những người con cùng một mẹ xem như kẻ ngoại lai. Sự nhiệt tâm lo việc nhà Chúa khiến con mòn mỏi, điều tủi nhục người ta nhục mạ Chúa đổ trên mình con.","Xướng: Con mong chờ người cảm thương, nhưng không có, mong chờ người an ủi, nhưng chẳng thấy đâu. Cơm con ăn, chúng pha mật đắng, con khát, thì chúng cho uống dấm chua.","Xướng: Con sẽ xướng bài ca ngợi khen danh Chúa, và con sẽ chúc tụng Ngài với bài tri ân. Các bạn khiêm cung, hãy nhìn coi và hoan hỉ, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ, và không chê bỏ con dân của Ngài bị bắt cầm tù."]},"alleluia":{"verse":":","content":"Kính lạy Vua chúng con, chỉ có Ngài là Ðấng thương hại đến những lỗi lầm của chúng con."},"gospel":{"excerpt":"Mt 26, 14-25","info":"“Con Người ra đi như đã được ghi chép sẵn từ trước, nhưng khốn thay cho kẻ sẽ làm cho Ngài bị phản nộp”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, một trong nhóm Mười Hai tên là Giu-đa Ít-ca-ri-ốt, đi gặp các thượng tế và thưa với họ: “Các ông cho tôi bao nhiêu, tôi nộp Người cho các ông?” Họ liền ấn định cho ba mươi đồng bạc. Và từ đó, hắn tìm dịp thuận tiện để nộp Người.\rNgày thứ nhất trong tuần lễ ăn Bánh không men, các môn đệ đến thưa Chúa Giê-su rằng: “Thầy muốn chúng con sửa soạn cho Thầy ăn Lễ Vượt Qua ở đâu?” Chúa Giê-su đáp: “Các con hãy vào thành đến với một người kia, và nói rằng: Thầy bảo, giờ Ta đã gần, Ta sẽ mừng Lễ Vượt Qua với các môn đệ tại nhà ông”. Các môn đệ làm như Chúa Giê-su đã truyền và sửa soạn Lễ Vượt Qua.\rChiều đến, Người ngồi bàn ăn với mười hai môn đệ. Và khi các ông đang ăn, Người nói: “Thầy nói thật với các con: có một người trong các con sẽ nộp Thầy”. Môn đệ rất buồn rầu và từng người bắt đầu hỏi Người: “Thưa Thầy, có phải con không?” Người trả lời: “Kẻ giơ tay cùng chấm vào đĩa với Thầy, đó chính là kẻ sẽ nộp Thầy. Thật ra, Con Người sẽ ra đi như đã chép về Người, nhưng khốn cho kẻ nộp Con Người, thà kẻ đó đừng sinh ra thì hơn!”\rGiu-đa kẻ phản bội cũng thưa Người rằng: “Thưa Thầy, có phải con chăng?” Chúa đáp: “Ðúng như con nói”.","end":"Ðó là lời Chúa"}},
+        "3064": {"firstReading":{"excerpt":"Xh 12, 1-8. 11-14","info":"“Những chỉ thị về bữa Tiệc Vượt qua”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Chúa phán cùng Mô-sê và A-ha-ron ở đất Ai-cập rằng: Tháng này các ngươi phải kể là tháng đầu năm, tháng thứ nhất. Hãy nói với toàn thể cộng đồng con cái Ít-ra-en rằng: “Mùng mười tháng này, ai nấy phải bắt một chiên con, mỗi gia đình, mỗi nhà một con. Nếu nhà ít người, không ăn hết một con chiên, thì phải mời người láng giềng đến nhà cho đủ số người để ăn một con chiên. Chiên đó không được có tật gì, phải là chiên đực, được một năm. Có bắt dê con cũng phải làm như thế. Vậy phải để dành cho đến ngày mười bốn tháng này, rồi vào lúc chập tối, toàn thể cộng đồng con cái Israel sẽ giết nó, lấy máu bôi lên khung cửa những nhà có ăn thịt chiên. Ðêm ấy sẽ ăn thịt nướng với bánh không men và rau đắng. Phải ăn như thế này: Phải thắt lưng, chân đi dép, tay cầm gậy và ăn vội vã: vì đó là ngày Vượt Qua của Chúa. Ðêm ấy Ta sẽ đi qua xứ Ai-cập, sẽ giết các con đầu lòng trong xứ Ai-cập, từ loài người cho đến súc vật, và Ta sẽ trừng phạt chư thần xứ Ai-cập: vì Ta là Chúa. Máu bôi trên nhà các ngươi ở, sẽ là dấu hiệu; và khi thấy máu, Ta sẽ đi qua mà tha cho các ngươi, và các ngươi sẽ không bị tai ương tác hại khi Ta giáng hoạ trên xứ Ai-cập. Các ngươi hãy ghi nhớ ngày ấy, làm lễ tưởng niệm, và phải mừng ngày đó trọng thể kính Thiên Chúa. Các ngươi sẽ lập lễ này để mừng vĩnh viễn muôn đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 15-16bc. 17-18","response":"Ðáp: Chén chúc tụng là sự thông hiệp Máu Chúa Ki-tô .","verses":["Xướng: Tôi lấy gì dâng lại cho Chúa để đền đáp những điều Ngài ban tặng cho tôi? Tôi sẽ lãnh chén cứu độ, và tôi sẽ kêu cầu danh Chúa.","Xướng: Trước mặt Chúa, thật là quý hoá cái chết của những bậc thánh nhân Ngài. Con là tôi tớ Ngài, con trai của nữ tỳ Ngài, Ngài đã bẽ gãy xiềng xích cho con.","Xướng: Con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ, và con sẽ kêu cầu danh Chúa. Con sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài."]},"secondReading":{"excerpt":"1 Cr 11, 23-26","info":"“Mỗi khi anh em ăn và uống, anh em loan truyền việc Chúa chịu chết”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, phần tôi, tôi đã lãnh nhận nơi Chúa điều mà tôi đã truyền lại cho anh em, là Chúa Giê-su trong đêm bị nộp, Người cầm lấy bánh và tạ ơn, bẻ ra và phán: “Các con hãy lãnh nhận mà ăn, này là Mình Ta, sẽ bị nộp vì các con: Các con hãy làm việc này mà nhớ đến Ta. Cùng một thể thức ấy, sau bữa ăn tối, Người cầm lấy chén, và phán: “Chén này là Tân ước trong Máu Ta; mỗi khi các con uống, các con hãy làm việc này mà nhớ đến Ta”. Vì mỗi khi anh em ăn bánh và uống chén này, anh em loan truyền việc Chúa chịu chết, cho tới khi Chúa lại đến”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":":","content":"Chúa phán: “Thầy ban cho các con một giới răn mới, là các con hãy yêu thương nhau, như Thầy đã yêu thương các con”."},"gospel":{"excerpt":"Ga 13, 1-15","info":"“Ngài yêu thương họ đến cùng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Trước ngày Lễ Vượt Qua, Chúa Giêsu biết đã đến giờ Mình phải bỏ thế gian mà về cùng Chúa Cha, Người vốn yêu thương những kẻ thuộc về mình còn đang ở thế gian, thì đã yêu thương họ đến cùng. Sau bữa ăn tối, ma quỷ gieo vào lòng Giu-đa Ít-ca-ri-ốt, con Si-môn, ý định nộp Người. Người biết rằng Chúa Cha đã trao phó mọi sự trong tay mình, và vì Người bởi Thiên Chúa mà đến và sẽ trở về cùng Thiên Chúa. Người chỗi dậy, cởi áo, lấy khăn thắt lưng, rồi đổ nước vào chậu; Người liền rửa chân cho các môn đệ và lấy khăn thắt lưng mà lau. Vậy Người đến chỗ Si-môn Phê-rô, ông này thưa Người rằng: “Lạy Thầy, Thầy định rửa chân cho con ư?” Chúa Giê-su đáp: “Việc Thầy làm bây giờ con chưa hiểu, nhưng sau sẽ hiểu”. Phê-rô thưa lại: “Không đời nào Thầy sẽ rửa chân cho con”. Chúa Giê-su bảo: “Nếu Thầy không rửa chân cho con, con sẽ không được dự phần với Thầy”. Phê-rô liền thưa: “Vậy xin Thầy hãy rửa không những chân con, mà cả tay và đầu nữa”. Chúa Giê-su nói: “Kẻ mới tắm rồi chỉ cần rửa chân, vì cả mình đã sạch. Tuy các con đã sạch, nhưng không phải hết thảy đâu”. Vì Người biết ai sẽ nộp Người nên mới nói: “Không phải tất cả các con đều sạch đâu”.\rSau khi đã rửa chân cho các ông, Người mặc áo lại, và khi đã trở về chỗ cũ, Người nói: “Các con có hiểu biết việc Thầy vừa làm cho các con chăng? Các con gọi Ta là Thầy và là Chúa thì phải lắm, vì đúng thật Thầy như vậy. Vậy nếu Ta là Chúa và là Thầy mà còn rửa chân cho các con, thì các con cũng phải rửa chân cho nhau. Vì Thầy đã làm gương cho các con để các con cũng bắt chước mà làm như Thầy đã làm cho các con”.","end":"Ðó là lời Chúa"}},
+        "3065": {"firstReading":{"excerpt":"Is 52, 13-53, 12","info":"“Người đã bị thương tích vì tội lỗi chúng ta”.  (Bài ca thứ tư của người Tôi Tớ Chúa)","title":"Trích sách Tiên tri I-sai-a.","content":"Này tôi tớ Ta sẽ được cao minh, sẽ vinh thăng tấn phát, cao cả tuyệt vời. Cũng như nhiều người đã kinh ngạc, vì thấy người tàn tạ mất hết vẻ người, dung nhan người cũng không còn nữa, cũng thế, muôn dân sẽ sửng sốt, các vua không còn biết nói chi trước mặt người. Vì họ sẽ thấy việc chưa ai kể cho mình, sẽ biết điều mình chưa hề được nghe.\rAi mà tin được điều chúng ta nghe? Và Chúa đã tỏ ra sức mạnh cho ai? Người sẽ lớn lên trước mặt Ngài như một chồi non, như một rễ cây, tự đất khô khan. Người chẳng còn hình dáng, cũng chẳng còn sắc đẹp để chúng ta nhìn ngắm, không còn vẻ bên ngoài, để chúng ta yêu thích; bị người đời khinh dể như kẻ thấp hèn nhất, như kẻ đớn đau nhất, như kẻ bệnh hoạn, như một người bị che mặt và bị khinh dể, bởi đó, chúng ta không kể chi đến người.\rThật sự, người đã mang lấy sự đau yếu của chúng ta, người đã gánh lấy sự đau khổ của chúng ta. Mà chúng ta lại coi người như kẻ phong cùi, bị Thiên Chúa đánh phạt và làm cho nhuốc hổ. Nhưng người đã bị thương tích vì tội lỗi chúng ta, bị tan nát vì sự gian ác chúng ta. Người lãnh lấy hình phạt cho chúng ta được bình an, và bởi thương tích người mà chúng ta được chữa lành. Tất cả chúng ta lang thang như chiên cừu, mỗi người một ngả. Chúa đã chất trên người tội ác của tất cả chúng ta.\rNgười hiến thân vì người tình nguyện và không mở miệng như con chiên bị đem đi giết, và như chiên non trước mặt người xén lông, người thinh lặng chẳng hé môi. Do cưỡng bách và án lệnh, người đã bị tiêu diệt; ai sẽ còn kể đến dòng dõi người nữa, bởi vì người đã bị khai trừ khỏi đất người sống; vì tội lỗi dân Ta, Ta đánh phạt người. Người ta định đặt mồ người giữa những kẻ gian ác, nhưng khi chết, người được chôn giữa kẻ giàu sang, mặc dầu người đã không làm chi bất chánh, và miệng người không nói lời gian dối. Chúa đã muốn hành hạ người trong đau khổ.\rNếu người hiến thân làm lễ vật đền tội, người sẽ thấy một dòng dõi trường tồn, và nhờ người, ý định Chúa sẽ thành tựu. Nhờ nỗi khổ tâm của người, người sẽ thấy và sẽ được thoả mãn. Nhờ sự thông biết, tôi tớ công chính của Ta sẽ công chính hoá nhiều người, sẽ gánh lấy những tội ác của họ. Bởi đó, Ta trao phó nhiều dân cho người, người sẽ chia chiến lợi phẩm với người hùng mạnh. Bởi vì người đã hiến thân chịu chết và đã bị liệt vào hàng phạm nhân, người đã mang lấy tội của nhiều người, và đã cầu bầu cho các phạm nhân.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 2 và 6. 12-13. 15-16. 17 và 25","response":"Ðáp: Lạy Cha, con phó linh hồn con trong tay Cha","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con muôn đời tủi hổ, vì đức công minh Ngài, xin cứu chữa con! Con phó thác tâm hồn trong tay Chúa, lạy Chúa, lạy Thiên Chúa trung thành, xin cứu chữa con.","Xướng: Con trở nên đồ ô nhục đối với những người thù, nên trò cười cho khách lân bang, và mối lo sợ cho người quen biết; gặp con ngoài đường, họ tránh xa con. Con bị người ta quên, không để ý tới, dường như đã chết, con đã trở nên như cái bình bị vỡ tan.","Xướng: Phần con, lạy Chúa, con tin cậy ở Ngài, con kêu lên: Ngài là Thiên Chúa của con! Vận mạng con ở trong tay Ngài, xin cứu gỡ con khỏi tay quân thù và những người bách hại.","Xướng: Xin cho tôi tớ Chúa được thấy long nhan dịu hiền, xin cứu sống con theo lượng từ bi của Chúa. Lòng chư vị hãy can trường mạnh bạo, hết thảy chư vị là người cậy trông ở Chúa."]},"secondReading":{"excerpt":"Dt 4, 14-16; 5, 7-9","info":"“Người đã học vâng phục do những đau khổ Người chịu, và khi hoàn tất, Người đã trở nên căn nguyên ơn cứu độ đời đời”.","title":"Trích thư gởi tín hữu Do-thái.","content":"Anh em thân mến, chúng ta có một thượng tế cao cả đã đi qua các tầng trời, là Ðức Giê-su, Con Thiên Chúa, nên chúng ta hãy giữ vững việc tuyên xưng đức tin của chúng ta. Vì chưng, không phải chúng ta có thượng tế không thể cảm thông sự yếu đuối của chúng ta, trái lại, Người đã từng chịu thử thách bằng mọi cách như chúng ta, ngoại trừ tội lỗi.\r Khi còn sống ở đời này, Chúa Ki-tô đã lớn tiếng rơi lệ dâng lời cầu xin khẩn nguyện lên Ðấng có thể cứu mình khỏi chết, và vì lòng thành kính, Người đã được nhậm lời. Dầu là Con Thiên Chúa, Người đã học vâng phục do những đau khổ Người chịu, và khi hoàn tất, Người đã trở nên căn nguyên ơn cứu độ đời đời cho tất cả những kẻ tùng phục Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":":","content":"Chúa Kitô vì chúng ta đã vâng lời cho đến chết, và chết trên thập giá. Vì thế, Thiên Chúa đã tôn vinh Người, và ban cho Người một danh hiệu vượt trên mọi danh hiệu."},"gospel":{"excerpt":"Ga 18, 1 – 19, 42","info":"Chúa Kitô vì chúng ta đã vâng lời cho đến chết, và chết trên thập giá. Vì thế, Thiên Chúa đã tôn vinh Người, và ban cho Người một danh hiệu vượt trên mọi danh hiệu.","title":"“Sự Thương Khó Ðức Giêsu Kitô, Chúa chúng ta, theo Thánh Gioan”.","content":"Khi ấy, Chúa Giêsu đi với môn đệ sang qua suối Xêrông, ở đó có một khu vườn, Người vào đó cùng với các môn đệ. Giuđa, tên phản bội, đã biết rõ nơi đó, vì Chúa Giêsu thường đến đấy với các môn đệ. Nên Giuđa dẫn tới một toán quân cùng với vệ binh do các thượng tế và biệt phái cấp cho, nó đến đây với đèn đuốc và khí giới. Chúa Giêsu đã biết mọi sự sẽ xảy đến cho Mình, nên Người tiến ra và hỏi chúng:\rJ. “Các ngươi tìm ai?”\r...............................................\r(Quỳ gối thinh lặng thờ lạy trong giây lát)\rHôm đó là ngày chuẩn bị lễ: để tội nhân khỏi treo trên thập giá trong ngày Sabbat, vì ngày Sabbat là ngày đại lễ, nên người Do-thái xin Philatô cho đánh dập ống chân tội nhân và cho cất xác xuống. Quân lính đến đánh dập ống chân của người thứ nhất và người thứ hai cùng chịu treo trên thập giá với Người. Nhưng lúc họ đến gần Chúa Giêsu, họ thấy Người đã chết, nên không đánh dập ống chân Người nữa, tuy nhiên một tên lính lấy giáo đâm cạnh sườn Người; tức thì máu cùng nước chảy ra. Kẻ đã xem thấy thì đã minh chứng, mà lời chứng của người đó chân thật, và người đó biết rằng mình nói thật để cho các người cũng tin nữa. Những sự việc này đã xảy ra để ứng nghiệm lời Kinh Thánh: “Người ta sẽ không đánh dập một cái xương nào của Người”. Lời Kinh Thánh khác rằng: “Họ sẽ nhìn xem Ðấng họ đã đâm thâu qua”.\rSau đó, Giuse người xứ Arimathia, môn đệ Chúa Giêsu, nhưng thầm kín vì sợ người Do-thái, xin Philatô cho phép cất xác Chúa Giêsu. Philatô cho phép. Và ông đến cất xác Chúa Giêsu. Nicôđêmô cũng đến, ông là người trước kia đã đến gặp Chúa Giêsu ban đêm. Ông đem theo chừng một trăm cân mộc dược trộn lẫn với trầm hương. Họ lấy xác Chúa Giêsu và lấy khăn bọc lại cùng với thuốc thơm theo tục khâm liệm người Do-thái. Ở nơi Chúa chịu đóng đinh có cái vườn và trong vườn có một ngôi mộ mới, chưa chôn cất ai. Vì là ngày chuẩn bị lễ của người Do-thái và ngôi mộ lại rất gần, nên họ đã mai táng Chúa Giêsu trong mộ đó.","end":"Ðó là lời Chúa"}},
+        "3066": {"firstReading":{"excerpt":"Ed 36, 16-17a. 18-28 (Bài cuối cựu ước)","info":"“Ta sẽ đổ trên các ngươi nước trong sạch và sẽ ban cho các ngươi quả tim mới”.","title":"Trích sách Tiên tri Ê-dê-ki-en.","content":"Ðây lời Chúa phán cùng tôi rằng: “Hỡi con người, khi dân Ít-ra-en cư ngụ trên đất mình, họ đã làm dơ bẩn đất ấy bằng đời sống và việc làm của họ. Và Ta đã nổi giận họ, vì họ đã đổ máu trên phần đất ấy, và vì các thần tượng họ thờ làm dơ bẩn phần đất ấy. Ta đã phân tán họ đi khắp các dân tộc, và cho họ sống rải rác trong các nước; Ta đã xét xử theo đời sống và việc làm của họ. Họ đã đi đến các dân tộc và ở đó họ xúc phạm thánh danh Ta, vì thiên hạ nói về họ rằng: “Này là dân của Chúa, họ bị đuổi ra khỏi đất của Người”. Và Ta đã thương hại thánh danh Ta mà nhà Ít-ra-en đã xúc phạm nơi các dân tộc họ đến cư ngụ.\rVì thế, ngươi hãy nói với nhà Ít-ra-en rằng: “Ðây Chúa là Thiên Chúa phán: Hỡi nhà Ít-ra-en, không phải vì các ngươi mà Ta hành động, nhưng vì thánh danh Ta đã bị các ngươi xúc phạm nơi các dân tộc mà các ngươi đi đến cư ngụ. Ta sẽ thánh hoá danh cao cả Ta đã bị xúc phạm giữa các dân tộc, nơi mà các ngươi đã xúc phạm danh thánh Ta, để các dân tộc biết Ta là Chúa, Thiên Chúa các đạo binh phán, khi Ta tự thánh hoá nơi các ngươi trước mặt họ.\rTa sẽ kéo các ngươi ra khỏi các dân tộc, sẽ quy tụ các ngươi từ các nước, và dẫn dắt các ngươi trên đất các ngươi. Ta sẽ dùng nước trong sạch mà rảy trên các ngươi, và các ngươi sẽ được rửa sạch mọi vết nhơ. Ta sẽ thanh tẩy các ngươi sạch mọi vết nhơ các bụt thần.\rTa sẽ ban cho các ngươi quả tim mới, đặt giữa các ngươi một thần trí mới, cất khỏi xác các ngươi quả tim bằng đá và ban cho các ngươi quả tim bằng thịt. Ta đặt thần trí Ta giữa các ngươi, làm cho các ngươi thực thi các huấn lệnh Ta, làm cho các ngươi tuân giữ và thực hành các lề luật Ta. Các ngươi sẽ cư ngụ trong xứ Ta đã ban cho tổ phụ các ngươi; các ngươi sẽ là dân Ta, còn Ta, Ta sẽ là Thiên Chúa các ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 41, 3. 5bcd; Tv 42, 3. 4","response":"Ðáp: Như nai rừng khát mong nguồn nước, hồn con khát Chúa, Chúa Trời ôi!","verses":["Xướng: Hồn con khát Chúa Trời, Chúa Trời hằng sống: ngày nào con được tìm về ra mắt Chúa Trời?","Xướng: Tôi nhớ lúc xưa đi giữa muôn người, tôi đứng đầu đưa dân tiến vào nhà Ðức Chúa Trời, giữa muôn tiếng reo mừng, ca ngợi.","Xướng: Xin chiếu giãi quang minh và chân thực của Chúa, để những điều đó hướng dẫn con, đưa con lên núi thánh và cung lâu của Ngài.","Xướng: Con sẽ tiến tới bàn thờ Thiên Chúa, đến cùng Thiên Chúa làm cho con được hoan hỉ mừng vui. Với cây cầm thụ, con sẽ ca ngợi Chúa, ôi Chúa là Thiên Chúa của con.","(khi có Rửa tội): Tv 50, 12-13. 14-15. 18-19","Ðáp: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch","Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin Chúa lại cho con niềm vui ơn cứu độ, với tinh thần quảng đại, Chúa đỡ nâng con. Con sẽ dạy kẻ bất nhân đường nẻo Chúa, và người tội lỗi sẽ trở về với Ngài.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ, nếu con dâng lễ toàn thiêu, Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát; lạy Chúa, xin đừng chê tấm lòng tan nát, khiêm cung."]},"secondReading":{"excerpt":"Rm 6, 3-11","info":"“Chúa Ki-tô, một khi tự trong cõi chết sống lại, Người không chết nữa”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Rô-ma.","content":"Anh em thân mến, tất cả chúng ta đã chịu phép rửa trong Ðức Giê-su Ki-tô, tức là đã chịu phép rửa trong sự chết của Người. Và chúng ta đã cùng chịu mai táng với Người, bởi được thanh tẩy trong sự chết của người, để như Ðức Ki-tô nhờ vinh hiển của Chúa Cha mà sống lại từ cõi chết thế nào, thì cả chúng ta cũng phải sống đời sống mới như thế.\r Vì nếu chúng ta được liên kết với Người trong cùng một cái chết, giống như cái chết của Người, thì chúng ta cũng được hợp nhất với Người, trong sự sống lại giống như vậy. Nên biết điều này: con người cũ của chúng ta đã cùng chịu đóng đinh khổ giá, để xác thịt tội lỗi bị huỷ đi, hầu cho chúng ta không còn làm nô lệ tội lỗi nữa, vì con người đã chết, tức là được giải thoát khỏi tội lỗi.\r Mà nếu chúng ta đã chết với Ðức Ki-tô, chúng ta tin rằng chúng ta cũng sẽ cùng sống với Người, vì biết rằng Ðức Ki-tô, một khi từ cõi chết sống lại, Người không chết nữa, sự chết không còn làm chủ được Người nữa. Người đã chết, tức là chết một lần dứt khoát đối với tội lỗi, mà khi Người sống, là sống cho Thiên Chúa. Cả anh em cũng thế, anh em hãy tự kể như mình đã chết đối với tội lỗi, nhưng sống cho Thiên Chúa, trong Ðức Giê-su Ki-tô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" xướng 3 lần Alleluia , sau đó hát đáp ca: ","content":"Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Hỡi nhà Ít-ra-en, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.\r. \r Xướng: Tay hữu Chúa đã hành động mãnh liệt, tay hữu Chúa đã cất nhắc tôi lên. Tôi không chết, nhưng tôi sẽ sống, và tôi sẽ loan truyền công cuộc của Chúa.\r. \r Xướng: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta."},"gospel":{"excerpt":"(A)Mt 28, 1-10; (B) Mc 16,1-8: (C)Lc 24, 1-12","info":"","title":"","content":"","end":""}}
+    }
+});
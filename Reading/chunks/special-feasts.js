@@ -0,0 +1,10 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-feasts", {
+    "SPECIAL": {
+        "8330": {"firstReading":{"excerpt":"Kn 3, 1-9 (TN II: 524)","info":"“Chúa chấp nhận các ngài như của lễ toàn thiêu”.","title":"Trích sách Khôn Ngoan.","content":"Linh hồn những người công chính ở trong tay Chúa, và đau khổ sự chết không làm gì được các ngài. Ðối với con mắt của người không hiểu biết, thì hình như các ngài đã chết và việc các ngài từ biệt chúng ta, là như đi vào cõi tiêu diệt. Nhưng thật ra các ngài sống trong bình an. Và trước mặt người đời, dầu các ngài có chịu khổ hình, lòng trông cậy của các ngài cũng không chết. Sau một giây lát chịu khổ nhục, các ngài sẽ được vinh dự lớn lao; vì Chúa đã thử thách các ngài như thử vàng trong lửa, và chấp nhận các ngài như của lễ toàn thiêu.\r Khi đến giờ Chúa ghé mắt nhìn các ngài, các người công chính sẽ sáng chói và chiếu toả ra như ánh lửa chiếu qua bụi lau. Các ngài sẽ xét sử các dân tộc, sẽ thống trị các quốc gia, và Thiên Chúa sẽ ngự trị trong các ngài muôn đời. Các ngài đã tin tưởng ở Chúa, thì sẽ hiểu biết chân lý, và trung thành với Chúa trong tình yêu, vì ơn Chúa và bình an sẽ dành cho những người Chúa chọn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6 (TN II: 326) ","response":"Đáp: Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.c5","verses":["Xướng: Khi Chúa đem những người Si-on bị bắt trở về, chúng tôi dường như Người đang mơ, bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: “Chúa đã đối xử với họ cách đại lượng”. Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan.","Xướng: Lạy Chúa, xin hãy đổi số phận của con, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo; họ trở về hân hoan, vai mang những bó lúa."]},"secondReading":{"excerpt":"1 Cr 1, 17-25. (TN II: 111) ","info":"“Vì tiếng nói của Thập Giá là sức mạnh của Thiên Chúa ban cho chúng ta”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, Ðức Ki-tô không sai tôi đi rửa tội, mà là rao giảng Tin Mừng, không phải bằng lời nói khôn khéo, kẻo Thập giá của Ðức Ki-tô ra hư không.\r Vì chưng lời rao giảng về Thập giá là sự điên rồ đối với những kẻ hư mất; nhưng đối với những người được cứu độ là chúng ta, thì điều đó là sức mạnh của Thiên Chúa. Vì như đã chép rằng: “Ta sẽ phá huỷ sự khôn ngoan của những kẻ khôn ngoan, sẽ chê bỏ sự thông thái của những người thông sáng. Người khôn ngoan ở đâu? Người trí thức ở đâu? Người lý sự đời này ở đâu?” Nào Thiên Chúa chẳng làm cho sự khôn ngoan của đời này hóa ra điên rồ đó sao? Vì thế gian tự phụ là khôn, không theo sự khôn ngoan của Thiên Chúa mà nhận biết Thiên Chúa, thì Thiên Chúa đã muốn dùng sự điên rồ của lời rao giảng để cứu độ những kẻ tin. Vì chưng, các người Do-thái đòi hỏi những dấu lạ, những người Hy-lạp tìm kiếm sự khôn ngoan, còn chúng tôi, chúng tôi rao giảng Chúa Ki-tô chịu đóng đinh trên thập giá, một cớ vấp phạm cho người Do-thái, một sự điên rồ đối với các người ngoại giáo. Nhưng đối với những người được gọi, dầu là Do-thái hay Hy-lạp, thì Ngài là Chúa Ki-tô, quyền năng của Thiên Chúa, và sự khôn ngoan của Thiên Chúa, vì sự điên dại của Thiên Chúa thì vượt hẳn sự khôn ngoan của loài người, và sự yếu đuối của Thiên Chúa thì vượt hẳn sức mạnh của loài người. ","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Pr 4, 14","content":"Alleluia, Alleluia, – Nếu anh em bị sỉ nhục vì danh Chúa Ki-tô, thì phúc cho anh em, vì Thánh Thần Chúa sẽ ngự trên anh em. – Alleluia."},"gospel":{"excerpt":"Mt 10, 16-23 (TN II :454)","info":"“Các con sẽ bị điệu đến nhà cầm quyền và vua chúa vì Thầy, để làm chứng cho họ và cho dân ngoại biết”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các Tông đồ rằng: “Các con hãy coi chừng người đời, vì họ sẽ nộp các con cho công nghị, và sẽ đánh đập các con nơi hội đường của họ. Các con sẽ bị điệu đến nhà cầm quyền và vua chúa vì Thầy, để làm chứng cho họ và cho dân ngoại được biết. Nhưng khi người ta bắt nộp các con, thì các con đừng lo nghĩ phải nói thế nào và nói gì. Vì trong giờ ấy sẽ cho các con biết phải nói gì: vì chưng, không phải chính các con nói, nhưng là Thánh Thần của Cha các con nói trong các con. Anh sẽ nộp em, cha sẽ nộp con, con cái sẽ chống lại cha mẹ và làm cho cha mẹ phải chết. Vì danh Thầy, các con sẽ bị mọi người ghen ghét, nhưng ai bền đỗ đến cùng, kẻ ấy sẽ được cứu độ”.","end":"Ðó là lời Chúa"}},
+        "8410": {"firstReading":{"excerpt":"Xh 19,3-8a. 16-20b (St 11,1-9:...)","info":"“Trước mắt toàn dân, Chúa sẽ ngự xuống trên núi Sinai”","title":"Bài trích sách Xuất Hành","content":"Trong những ngày ấy, Môisen lên cùng Thiên Chúa. \rTừ trên núi, Chúa gọi ông và bảo: “Ngươi hãy nói với nhà Giacób, và thông báo cho con cái Israel thế này: “Chính các ngươi đã thấy những gì Ta làm cho người Ai cập. Ta đã mang các ngươi trên cánh phượng hoàng, và đem các ngươi đến với Ta. Từ nay, nếu các ngươi nghe lời Ta và giữ giao ước Ta, thì các ngươi sẽ là sở hữu của Ta được tách biệt khỏi mọi dân, vì cả trái đất là của Ta. Ðối với Ta, các ngươi sẽ là một vương quốc tư tế, một dân tộc hiến thánh. Ðó là những lời ngươi sẽ nói lại với con cái Israel”.\r Môisen trở xuống triệu tập các trưởng lão trong dân và trình bày cho họ mọi điều Chúa đã truyền cho ông.\r Toàn dân đồng thanh đáp: “Mọi điều Thiên Chúa dạy, chúng tôi xin thi hành”.\rQua ngày thứ ba, trời vừa sáng, có sấm vang chớp loè và mây dày đặc che phủ ngọn núi và tiếng tù và rền vang.\rToàn dân trong trại kinh hãi.\rMôisen đưa dân ra khỏi trại để gặp Chúa, họ đứng dưới chân núi.\r Khắp núi Sinai bốc khói, vì Chúa ngự xuống đó trong ngọn lửa: khói bốc lên như bởi lò lửa và cả núi rung chuyển dữ dội.\r Tiếng tù và càng rúc mạnh.\rMôisen nói và Thiên Chúa đáp lại trong tiếng sấm.\rChúa ngự xuống trên đỉnh núi Sinai, Người gọi Môisen lên đỉnh núi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103, 1-2a; 25c, 27-28, 29bc-30","response":"Đáp:  Lạy Chúa, xin sai Thánh Thần Chúa đến, và xin canh tân bộ mặt trái đất.","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, lạy Chúa là Thượng Ðế của tôi, Ngài quá ư vĩ đại! Ngài mặc lấy oai nghiêm huy hoàng, ánh sáng choàng thân như mang áo khoác.","Xướng: Lạy Chúa, thực nhiều thay công cuộc của Ngài! Ngài đã tạo thành vạn vật cách khôn ngoan, địa cầu đầy dẫy loài thụ tạo của Ngài, kìa biển khơi mênh mông bát ngát, những vật tý hon sống chung cùng loài to lớn.","Xướng: Hết thảy mọi vật đều mong chờ ở Chúa, để Ngài ban lương thực cho chúng đúng thời giờ. Khi Ngài ban cho thì chúng lãnh, Ngài mở tay ra thì chúng no đầy thiện hảo.","Xướng: Ngài rút hơi thở chúng đi, chúng chết ngay, và chúng trở về chỗ tro bụi của mình. Nếu Ngài gởi hơi tới, chúng được tạo thành, vì Ngài canh tân bộ mặt trái đất."]},"secondReading":{"excerpt":"Rm. 8,22-27","info":"“Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả”.","title":"Bài trích thơ Thánh Phaolô Tông đồ gởi tín hữu Rôma.","content":"Anh em thân mến, chúng ta biết rằng cho đến nay, mọi tạo vật đang rên siết trong cơn đau đớn như lúc sinh nở. Nhưng không phải chỉ tạo vật mà thôi đâu, mà cả chúng ta nữa, tức là những kẻ đã được hưởng của đầu mùa của Thánh Thần, chúng ta cũng rên rỉ trong mình chúng ta khi mong Thánh Thần nhận làm nghĩa tử, và cứu chuộc thân xác chúng ta. Vì chưng nhờ niềm cậy trông mà chúng ta được cứu độ.\r Nhưng hễ nhìn thấy điều mình hy vọng thì không phải là hy vọng nữa.\r Vì ai đã thấy điều gì rồi, đâu còn hy vọng nó nữa?\r Nhưng nếu chúng ta hy vọng điều chúng ta không trông thấy, chúng ta sẽ kiên tâm trông đợi.\r Ðàng khác, cũng có Thánh Thần nâng đỡ sự yếu hèn của chúng ta.\r Vì chúng ta không biết cầu ngyện thế nào cho xứng hợp.\r Nhưng chính Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả.\r Mà Ðấng thấu suốt tâm hồn, thì biết điều Thánh Thần ước muốn.\r Bởi vì Thánh Thần cầu xin cho các thánh theo ý Thiên Chúa. ","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia. - Alleluia, alleluia – Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 7,37-39","info":"“Phát sinh nước hằng sống“","title":"Bài trích Phúc Âm theo Thánh Gioan.","content":"Vào ngày cuối cùng và trọng đại của dịp lễ, Chúa Giêsu đứng lên giảng lớn tiếng rằng: “Ai khát nước hãy đến cùng Ta và uống; ai tin nơi Ta, thì như lời Thánh Kinh dạy: từ lòng họ nước hằng sống sẽ chảy ra như giòng sông”.\r Người nói điều ấy về Chúa Thánh Thần mà các kẻ tin nơi Người sẽ lãnh lấy, vì bởi Chúa Giêsu chưa được tôn vinh.","end":"Ðó là lời Chúa"}},
+        "8411": {"firstReading":{"excerpt":"St 3, 9-15. 20","info":"“Mẹ của toàn thể chúng sinh”.","title":"Bài trích sách Sáng thế","content":"Sau khi Ađam ăn trái cấm,\r Chúa là Thiên Chúa đã gọi ông và nói cùng ông rằng: “Ngươi ở đâu vậy?” Ông thưa: “Con nghe tiếng Ngài trong vườn, nhưng con sợ hãi, vì con trần truồng và con ẩn núp”. \r Chúa hỏi ông: “Ai đã cho ngươi biết ngươi đang trần truồng? Có phải tại ngươi đã ăn trái cây mà Ta cấm ngươi ăn không?”\r Ađam thưa: “Người phụ nữ mà Ngài đã cho làm bạn với con,chính bà ấy đã cho con trái cây và con đã ăn”. \r Chúa là Thiên Chúa nói cùng người phụ nữ rằng: “Tại sao ngươi làm điều đó?” \r Người phụ nữ thưa: “Con rắn đã lừa dối con, và con đã ăn”. \r Chúa là Thiên Chúa phán cùng con rắn rằng: “Bởi vì mi đã làm điều đó, mi là thứ bị chúc dữ giữa mọi súc vật và thú hoang! Mi sẽ bò bằng bụng và sẽ ăn bụi đất suốt đời mi. Ta sẽ đặt mối thù giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ Bà, người miêu duệ này sẽ đạp đầu mi, còn mi sẽ cắn gót chân người”.\rRồi Ađam đặt tên cho vợ mình là Evà, vì bà là mẹ của chúng sinh. \r Đó là Lời Chúa. \r Hoặc: Cv 1,12-14 \r “Các Tông đồ đồng tâm kiên trì cầu nguyện cùng với Đức Maria, mẹ của Chúa Giêsu” \r Bài trích sách Công vụ Tông đồ \r Sau khi Chúa Giêsu lên trời, các Tông đồ rời núi Cây Dầu trở về Giêrusalem, núi này ở gần Giêrusalem, chỉ cách một quãng đường được đi trong ngày sabbat.\r Sau khi trở về thành, các ông lên phòng trên lầu.Hiện diện tại đây có các ông Phêrô, Gioan, Giacôbê, Anrê, Philipphê, Tôma, Bartôlômêô, Matthêu, Giacôbê con ông Alphê, Simon nhiệt thành, và Giuđa con ông Giacôbê. \r Mọi người đều đồng tâm kiên trì cầu nguyện, cùng với mấy người phụ nữ, với bà Maria, mẹ của Chúa Giêsu, và các anh em Người. ","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 86, 1-2. 3 và 5. 6-7","response":"Đáp: Hỡi thành đô của Thiên Chúa, mọi người truyền tụng những điều hiển hách về thành.","verses":["Xướng: Nền móng Sion được đặt trên núi thánh, Chúa yêu chuộng cửa thành   hơn mọi nơi cư ngụ của nhà Giacob.Hỡi thành đô của Thiên Chúa. Mọi người truyền tụng những điều hiển hách về thành.","Xướng: Nói đến Sion, thiên hạ bảo:“Tại đó, người người đã sinh ra, chính Đấng Tối Cao củng cố thành”.","Xướng: Thiên Chúa ghi vào sổ bộ các dân: “Kẻ này người nọ đã sinh ra tại đó”, và họ múa nhảy hát ca: “Mọi nguồn mạch của tôi ở nơi thành”."]},"alleluia":{"verse":" ","content":"Alleluia,Alleluia, alleluia! – Kính chào Đức Trinh Nữ diễm phúc, Mẹ đã hạ sinh Chúa Giêsu.Kính chào Mẹ Hội Thánh, Mẹ là Đấng giữ gìn trong chúng conThần Khí của Thánh Tử Giêsu Kitô. – Alleluia."},"gospel":{"excerpt":"Ga 19, 25-27","info":"Này là Con Bà. Này là Mẹ con.","title":"Tin Mừng Chúa Giêsu Kitô theo thánh Gioan","content":"Khi ấy, đứng gần thập giá Chúa Giêsu, có mẹ Người, cùng với chị mẹ Người là bà Maria, vợ ông Clêôpas và Maria Mađalêna. Khi thấy mẹ và bên cạnh có môn đệ Người yêu, Chúa Giêsu nói với mẹ rằng: “Thưa Bà, này là Con Bà”. \rRồi Người nói với môn đệ: “Này là Mẹ con”. Và từ giờ đó môn đệ đã đón bà về nhà mình.","end":"Ðó là lời Chúa"}},
+        "8441": {"firstReading":{"excerpt":"Is 61, 9-11","info":"“Tôi hớn hở vui mừng trong Chúa”.","title":"Trích sách tiên tri Isaia","content":"Dòng dõi chúng sẽ được nổi danh giữa các dân tộc; miêu duệ chúng sẽ được biết đến giữa chư dân. Tất cả những ai thấy họ, đều nhận biết họ là dòng dõi được Chúa chúc phúc. Tôi hớn hở vui mừng trong Chúa, và lòng tôi hoan hỉ trong Chúa tôi, vì Người đã mặc cho tôi áo phần rỗi và choàng áo công chính cho tôi, như tân lang đầu đội triều thiên, như tân nương trang sức bằng ngọc bảo. Như đất đâm chồi, như vườn nảy lộc, Chúa cũng làm phát sinh công chính và lời ca tụng trước mặt muôn dân. ","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Đáp: Xin hãy nghe, thưa nương tử, hãy coi và hãy lắng tai.","verses":["Xướng: Hoàng hậu đứng bên hữu đức vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa nương tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Để Đức Vua Người sủng ái dung nhan: chính Người là Chúa của cô nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Đức Vua."]},"alleluia":{"verse":"x. Lc 2, 19","content":"Alleluia,Alleluia, alleluia! – Đức Trinh Nữ Maria hiển vinh đã ghi nhớ lời Chúa và suy niệm trong lòng. – Alleluia."},"gospel":{"excerpt":"Lc 2, 41-51","info":"“ Mẹ Người ghi nhớ những việc đó trong lòng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca","content":"Hằng năm cha mẹ Chúa Giêsu có thói quen lên Giêrusalem để mừng lễ Vượt qua. Lúc bấy giờ Chúa Giêsu lên mười hai tuổi, cha mẹ Người đã lên Giêrusalem, theo tục lệ mừng ngày lễ Vượt cha mẹ Người đã lên Giêrusalem, theo tục lệ mừng ngày lễ Vượt Qua. Và khi những ngày lễ đã hoàn tất, hai ông bà ra về, trẻ Giêsu đã ở lại Giêrusalem mà cha mẹ Người không hay biết. Tưởng rằng Người ở trong nhóm các khách đồng hành, hai ông bà đi được một ngày đàng, mới tìm kiếm Người trong nhóm bà con và những kẻ quen biết. Nhưng không gặp thấy Người, nên hai ông bà trở lại Giêrusalem để tìm Người. Sau ba ngày, hai ông bà gặp thấy Người trong đền thờ đang ngồi giữa các thầy tiến sĩ, nghe và hỏi các ông. Tất cả những ai nghe Người nói, đều ngạc nhiên trước sự hiểu biết và những câu Người đáp lại. Nhìn thấy Người, hai ông bà đã ngạc nhiên, và mẹ Người bảo Người rằng: “Con ơi, sao Con làm cho chúng ta như thế? Kìa cha Con và mẹ đây, đã đau khổ tìm Con”. Người thưa với hai ông bà rằng: “Mà tại sao cha mẹ tìm con? Cha mẹ không biết rằng con phải lo công việc của Cha con ư?” Nhưng hai ông bà không hiểu lời Người nói. Bấy giờ Người theo hai ông bà trở về Nadarét, và Người vâng phục hai ông bà. Maria mẹ Người ghi nhớ những việc đó trong lòng.","end":"Ðó là lời Chúa"}},
+        "80158": {"firstReading":{"excerpt":"Hc 42, 15-16; 43, 1-2.6-10","info":"“Sự nghiệp Đấng Tối Cao kỳ diệu dường nào”","title":"Bài trích sách Huấn Ca.","content":"Giờ đây, tôi xin nhắc lại những công trình của Chúa. Những gì mắt thấy, tôi sẽ tường thuật. Do Lời Chúa phán mà có những công trình của Người. Mặt trời tỏa sáng nhìn xuống muôn loài. Vinh quang Chúa bao phủ công trình Người sáng tạo, lộng lẫy chốn cao vời, một khung trời trong vắt. Nhìn ngắm cả bầu trời: cảnh tượng xán lạn thay! Vừa ló dạng lúc hừng đông, mặt trời liền công bố: “Sự nghiệp Đấng Tối Cao kỳ diệu dường nào!”. Còn mặt trăng, vẫn luôn đúng hẹn, là dấu hiệu muôn đời để chỉ rõ thời gian. Trăng tròn rồi trăng lại khuyết, đánh dấu các thời kỳ đại lễ. Theo chu kỳ tuyệt diệu, trăng cứ mãi tròn thêm; người ta lấy chữ nguyệt mà đặt tên cho tháng. Trăng chiếu sáng trên cả bầu trời, đó là một vũ trụ huy hoàng trên khắp chốn cao xanh của Chúa. Vâng lời Đấng Chí Thánh, các vì sao luôn sẵn sàng chờ lệnh, không chểnh mảng trong lúc canh đêm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 135,1.4-9","response":"Đáp: Muôn ngàn đời Chúa vẫn trọn tình thương.","verses":["Xướng:  Hãy tạ ơn Chúa vì Chúa nhân từ.","Xướng:  Chỉ có Người làm nên những kỳ công vĩ đại.","Xướng:  Tầng trời cao, Chúa tạo dựng tài tình.","Xướng:  Trải mặt đất này trên làn nước bao la.","Xướng:  Người làm ra những đèn trời to lớn.","Xướng:  Cho thái dương điều khiển ban ngày.","Xướng:  Đặt trăng sao hướng dẫn ban đêm."]},"alleluia":{"verse":"1 Ga 2, 5","content":"Alleluia, Alleluia,  Alleluia.- Lạy Cha là Chúa Tể trời đất, con xin ngợi khen Cha đã mạc khải mầu nhiệm Nước Trời cho những người bé mọn. - Alleluia."},"gospel":{"excerpt":"Mc 10, 13-16","info":"“Người ôm các trẻ em vào lòng, và đặt tay ban phúc lành cho chúng”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Máccô.","content":"Khi ấy, người ta đưa những trẻ nhỏ đến cùng Chúa Giêsu để Người đặt tay trên chúng, nhưng các môn đệ khiển trách họ. Thấy vậy, Chúa Giêsu bất bình và bảo các ông rằng: “Hãy để các trẻ nhỏ đến cùng Thầy, đừng ngăn cản chúng, vì nước Thiên Chúa là của những ai giống như chúng. Thày bảo thật các con: “Ai không đón nhận Nước Thiên Chúa như trẻ nhỏ, sẽ không được vào nước đó”. Rồi Người ôm chúng, đặt tay ban phép lành cho chúng.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,9 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-01", {
+    "SPECIAL": {
+        "70001": {"firstReading":{"excerpt":"st 1, 14-18","info":"“Những vật sáng hãy trở thành dấu chỉ thời gian, ngày và năm tháng”.","title":"Bài trích sách Sáng Thế.","content":"Thiên Chúa còn phán: “Hãy có những vật sáng trên vòm trời và hãy phân chia ngày và đêm, và trở thành dấu chỉ thời gian, ngày và năm tháng, để soi sáng trên vòm trời và giãi sáng mặt đất”. Và đã xảy ra như vậy. Thiên Chúa đã làm nên hai vầng sáng lớn: Vầng sáng lớn hơn làm chủ ban ngày, và vầng sáng nhỏ hơn làm chủ ban đêm. Và Ngài cũng làm nên các tinh tú. Thiên Chúa đặt chúng trên vòm trời để soi sáng trên mặt đất và làm chủ ngày đêm, và phân chia ánh sáng với tối tăm. Thiên Chúa thấy tốt đẹp.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 2. 3-4. 5-6. 12-13. 14. 16","response":"Ðáp: Lạy Chúa, xin Ngài củng cố sự nghiệp tay chúng tôi làm ra. (17c)","verses":["Xướng: Ôi Thiên Chúa, trước khi núi non sinh đẻ, trước khi địa cầu và vũ trụ nở ra, tự thuở nầy qua thuở kia, vẫn có Ngài.","Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Ngài phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Chúa khiến họ trôi đi, họ như kẻ mơ màng buổi sáng, họ như cây cỏ mọc xanh tươi. Ban sáng cỏ nở hoa và xanh tốt, buổi chiều nó bị xén đi và nó héo khô.","Xướng: Xin dạy chúng tôi biết đếm ngày giờ, để chúng tôi luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chớ còn để tới bao giờ? xin tỏ lòng xót thương tôi tớ của Ngài.","Xướng: Xin cho chúng tôi sớm được no phỉ ân tình của Chúa, để chúng tôi mừng rỡ hân hoan trọn đời sống chúng tôi. Xin cho các bầy tôi nhìn thấy sự nghiệp của Chúa, và cho con cháu họ được thấy vinh quang Ngài."]},"secondReading":{"excerpt":"Pl 4, 4-8","info":"“Anh em hãy vui luôn trong niềm vui của Chúa. Tôi nhắc lại: vui lên anh em!”","title":"Bài trích thư Thánh Phaolô Tông đồ gửi tín hữu Phi-lip-phê.","content":"Anh em thân mến, anh em hãy vui luôn trong niềm vui của Chúa. Tôi nhắc lại: vui lên anh em! Sao cho mọi người thấy anh em sống hiền hoà rộng rãi, Chúa đã gần đến. Anh em đừng lo lắng gì cả. Nhưng trong mọi hoàn cảnh, anh em cứ đem lời cầu khẩn, van xin và tạ ơn, mà giãi bày trước mặt Thiên Chúa những điều anh em thỉnh nguyện. Và bình an của Thiên Chúa, bình an vượt lên trên mọi hiểu biết, sẽ giữ cho lòng trí anh em được kết hợp với Đức Ki-tô Giê-su. Ngoài ra, thưa anh em, những gì là chân thật, cao quý, những gì là chính trực tinh tuyền, những gì là đáng mến và đem lại danh thơm tiếng tốt, những gì là đức hạnh, đáng khen, thì xin anh em hãy để ý.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"alleluia! – Trải qua mọi ngày, chúng tôi chúc tụng Chúa; và chúng tôi ca ngợi danh Chúa tới muôn đời. – alleluia."},"gospel":{"excerpt":"Mt 6, 25-34","info":"“Các con chớ áy náy lo lắng về ngày mai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy bảo các con. Chớ áy náy lo lắng cho mạng sống mình: lấy gì ăn; hay cho thân xác các con: lấy gì mà mặc. Nào mạng sống không hơn của ăn, và thân xác không hơn áo mặc sao? Hãy nhìn xem chim trời, chúng không gieo, không gặt, không thu vào lẫm, thế mà Cha các con trên trời vẫn nuôi chúng. Nào các con không hơn chúng sao? Nào có ai trong các con lo lắng áy náy mà có thể làm cho mình cao thêm một gang được ư? Còn về áo mặc, các con lo lắng làm gì? Hãy ngắm xem hoa huệ ngoài đồng coi chúng mọc lên thế nào? Chúng không làm lụng, không canh cửi. Nhưng Thầy nói với các con rằng: Ngay cả Salomon trong tất cả vinh quang của ông, cũng không phục sức được bằng một trong những đóa hoa đó. Vậy nếu hoa cỏ đồng nội, nay còn, mai bị ném vào lò lửa, mà còn được Thiên Chúa mặc cho như thế, huống chi là các con, hỡi những kẻ kém lòng tin? Vậy các con chớ áy náy lo lắng mà nói rằng: “Chúng ta sẽ ăn gì, uống gì, hoặc sẽ lấy gì mà mặc?” Vì chưng, dân ngoại tìm kiếm những điều đó. Nhưng cha các con biết rõ các con cần đến những điều đó. Tiên vàn các con hãy tìm kiếm nước Thiên Chúa và sự công chính của Người, còn các điều đó Người sẽ ban thêm cho các con. Vậy các con chớ áy náy lo lắng về ngày mai, vì ngày mai sẽ lo cho ngày mai. Ngày nào có sự khốn khổ của ngày ấy”.","end":"Ðó là lời Chúa"}},
+        "72501": {"firstReading":{"excerpt":"Cv 22, 3-16","info":"“Kêu danh thánh Chúa, tôi chỗi dậy”.","title":"Trích sách Tông đồ Công vụ.","content":"Ngày ấy, Phaolô nói với dân chúng: “Tôi là người Do-thái, sinh tại Tarsê xứ Cilicia, đã được nuôi nấng trong thành này, đã được đào tạo theo chân lý lề luật cha ông dưới chân ông Gamaliêl. Tôi nhiệt thành với lề luật cũng như hết thảy quý vị hôm nay. Tôi đã bắt bớ giết chóc đạo này, xiềng xích và bỏ tù cả đàn ông lẫn đàn bà. Như thầy thượng tế và toàn thể hội đồng kỳ lão đã làm chứng điều đó. Các ngài đã trao cho tôi chứng minh thư để tôi đến kiếm anh em ở Ðamas, bắt trói họ và điệu về Giêrusalem để trừng phạt.\rXảy đến lúc đó khoảng trưa, tôi đang trên đường gần đến Ðamas, thình lình một luồng ánh sáng chan hoà từ trời chói rạng quanh tôi. Tôi ngã xuống đất và nghe tiếng phán bảo tôi: “Saolô, Saolô, sao ngươi bắt bớ Ta?” Tôi đáp: “Thưa Ngài, Ngài là ai?” Người trả lời: “Ta là Giêsu Nadarét mà ngươi đang bắt bớ”. Và những người cùng ở đó với tôi lúc ấy, cũng thấy ánh sáng, nhưng không nghe tiếng Ðấng nói với tôi. Tôi hỏi: “Lạy Chúa, con phải làm gì?” Chúa liền nói với tôi: “Hãy chỗi dậy, vào thành Ðamas, ở đó sẽ nói cho ngươi tất cả những gì ngươi phải làm”. Nhưng vì ánh sáng chói loà kia, tôi không còn thấy được, nên các bạn tôi cầm tay dẫn tôi vào thành Ðamas. Có một người kia tên là Anania, người đạo đức, sống theo Lề luật, và được mọi người Do-thái ở đó kính phục, đến tìm tôi và đứng gần tôi mà nói: “Hỡi anh Saolô, anh hãy nhìn!” Ngay lúc đó tôi nhìn thấy ông.\rVà ông nói: “Thiên Chúa cha ông chúng ta đã tiền định cho anh biết thánh ý Người, thấy Ðấng Công Chính và nghe tiếng Người nói. Vậy anh phải làm chứng cho Người trước mặt mọi người về điều anh đã thấy và đã nghe. Và bây giờ, anh còn chần chừ gì nữa? Hãy chỗi dậy và cầu khẩn danh Người mà chịu thanh tẩy và gột rửa mình cho sạch tội lỗi”.\rHoặc: Cv 9, 1-22\r“Lạy Chúa, Chúa muốn con làm gì?”\rTrích sách Tông đồ Công vụ.\rTrong những ngày ấy, Saolô còn mải say mê hăm doạ giết các môn đồ Chúa. Ông đến thượng tế, xin chứng minh thư gởi đến hội đường ở Ðamas, để nếu gặp ai theo đạo ấy, bất luận nam nữ, ông bắt trói đem về Giêrusalem.\rÐang khi đi đường, lúc đến gần Ðamas, bỗng nhiên một luồng ánh sáng từ trời chiếu xuống bao phủ lấy ông, ông ngã xuống đất và nghe tiếng phán rằng: “Saolô, Saolô, sao ngươi bắt bớ Ta?” Ông thưa: “Lạy Ngài, Ngài là ai?” Chúa đáp: “Ta là Giêsu mà ngươi đang bắt bớ; giơ chân đạp mũi nhọn thì khổ cho ngươi”. Saolô run sợ và kinh hoàng hỏi rằng: “Lạy Chúa, Chúa muốn con làm gì?” Chúa phán: “Hãy chỗi dậy, vào thành, và ở đó người ta sẽ nói cho ngươi phải làm gì”. Những kẻ đồng hành với ông đứng lại, hoảng hốt; họ nghe rõ tiếng mà không thấy ai. Saolô chỗi dậy khỏi đất, mắt ông vẫn mở mà không trông thấy gì. Người ta cầm tay dẫn ông vào thành Ðamas; ông ở lại đấy ba ngày mà không thấy, không ăn, cũng không uống.\rBấy giờ ở Ðamas, có một môn đồ tên là Anania; trong một thị kiến, Chúa gọi ông rằng: “Anania”. Ông thưa: “Lạy Chúa, này con đây”. Chúa phán: “Hãy chỗi dậy và đến phố kia gọi là phố “Thẳng”, và tìm tại nhà Giuđa một người tên Saolô, quê ở Tarsê; nó đang cầu nguyện”. (Saolô cũng thấy một người tên Anania bước vào, và đặt tay trên ông để ông được sáng mắt). Anania thưa: “Lạy Chúa, con đã nghe nhiều người nói về người này rằng: ông đã gây nhiều tai ác cho các thánh của Chúa tại Giêrusalem; tại đây, ông đã được các thượng tế cho phép bắt trói tất cả những ai kêu cầu danh Chúa”. Nhưng Chúa phán: “Cứ đi, vì người này là lợi khí Ta đã chọn, để mang danh Ta đến trước dân ngoại, vua quan và con cái Israel. Ta sẽ tỏ cho nó biết phải chịu nhiều đau khổ vì danh Ta”.\rAnania ra đi, bước vào nhà, và đặt tay trên Saolô mà nói: “Anh Saolô, Chúa Giêsu, Ðấng hiện ra với anh trên đường đi đến đây, sai tôi đến cùng anh, để anh được thấy và được tràn đầy Thánh Thần. Tức thì có thứ gì như những cái vảy rơi khỏi mắt ông, và ông được sáng mắt.\rÔng chỗi dậy chịu phép rửa, và sau khi ăn uống, ông được lại sức, ông ở lại ít ngày cùng với các môn đồ thành Ðamas. Và lập tức ông rao giảng trong các hội đường rằng Ðức Giêsu là Con Thiên Chúa. Mọi người nghe rao giảng đều kinh ngạc và nói rằng: “Há chẳng phải ông này đã bách hại những người đã cầu khẩn danh ấy tại Giêrusalem, và cũng đã tới đây mà truy nã họ để điệu họ về cho các thượng tế sao?”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 116, 1. 2","response":"Ðáp: Hãy đi rao giảng Tin Mừng khắp thế gian","verses":["Xướng: Toàn thể chư dân, hãy ngợi khen Chúa! Hết thảy các nước, hãy chúc tụng Người! – Ðáp.","Xướng: Vì tình thương Chúa dành cho chúng ta thực là mãnh liệt. và lòng trung thành của Chúa tồn tại muôn đời."]},"alleluia":{"verse":"Ga 15, 16","content":"alleluia! – Chúa phán: “Ta đã chọn các con giữa thế gian, hầu để các con đi và mang lại hoa trái, để hoa trái các con tồn tại”. – Alleluia."},"gospel":{"excerpt":"Mc 16, 15-18","info":"“Các con hãy đi rao giảng Tin Mừng khắp thế gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu (hiện ra với mười một môn đệ và) nói: “Các con hãy đi khắp thế gian, rao giảng Tin Mừng cho mọi tạo vật. Ai tin và chịu phép rửa, thì sẽ được cứu độ; ai không tin, sẽ bị luận phạt. Và đây là những dấu lạ đi theo những người đã tin: nhân danh Thầy, họ sẽ trừ quỷ, nói các thứ tiếng lạ, cầm rắn trong tay, và nếu uống phải chất độc thì cũng không bị hại; họ đặt tay trên những người bệnh, và bệnh nhân được lành mạnh”.","end":"Ðó là lời Chúa"}},
+        "80001": {"firstReading":{"excerpt":"Is 63,7-9","info":"Tôi xin dâng lời ca tụng Đức Chúa, vì lòng nhân hậu lớn lao của Người.","title":"Bài trích sách tiên tri I-sai-a","content":"Tôi xin nhắc lại ân nghĩa Đức Chúa, dâng lời ca tụng Đức Chúa, vì tất cả những gì Đức Chúa đã thực hiện cho chúng tôi vì lòng nhân hậu lớn lao của Người đối với nhà Ít-ra-en, vì những gì Người đã thực hiện, bởi lòng Người đầy thương xót và lắm nghĩa giàu ân. Người đã phán: “Thật, chúng là dân của Ta, là những đứa con không biết lừa dối!” Và đối với họ, Người đã là một vị cứu tinh, trong mọi cơn quẫn bách. Không phải là một sứ giả hay một thiên thần đã cứu thoát họ, nhưng là chính tôn nhan Người. Vì yêu mến và thương cảm, chính Người đã chuộc họ về, đã vực họ dậy và mang họ đi suốt thời gian quá khứ.\rĐó là lời Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 135,1; 3.4 ; 23.25-26","response":"Đáp: Muôn ngàn đời Chúa vẫn trọn tình thương.","verses":["Xướng: Hãy tạ ơn Chúa vì Chúa nhân từ, muôn ngàn đời Chúa vẫn trọn tình thương. Hãy tạ ơn Chúa các chúa, muôn ngàn đời Chúa vẫn trọn tình thương.","Xướng: Chỉ có Người làm nên những kỳ công vĩ đại, muôn ngàn đời Chúa vẫn trọn tình thương, Chúa đã nhớ đến ta giữa cảnh nhục nhằn, muôn ngàn đời Chúa vẫn trọn tình thương.","Xướng: Người ban lương thực cho tất cả chúng sinh, muôn ngàn đời Chúa vẫn trọn tình thương. Hãy tạ ơn Thiên Chúa cửu trùng, muôn ngàn đời Chúa vẫn trọn tình thương."]},"secondReading":{"excerpt":"1Cr 1,3-9","info":"Chúng ta mong đợi ngày Đức Giê-su Ki-tô, Chúa chúng ta, mặc khải vinh quang của Người.","title":"Bài trích thư thứ nhất của thánh Phao-lô tông đồ gửi tín hữu Cô-rin-tô","content":"Anh em thân mến, chúc cho anh em đầy ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Đức Giêsu Kitô. Tôi hằng cảm tạ Chúa thay cho anh em, vì ơn đã ban cho anh em trong Chúa Giêsu Kitô. Vì chưng, trong Ngài, anh em được tràn đầy mọi ơn: ơn ngôn ngữ và ơn hiểu biết, đúng như Chúa Kitô đã minh chứng nơi anh em, khiến anh em không còn thiếu ơn nào nữa trong khi mong chờ Đức Giêsu Kitô, Chúa chúng ta tỏ mình ra. Cũng chính Ngài sẽ ban cho anh em bền vững đến cùng, không có gì đáng khiển trách trong ngày Đức Giêsu Kitô, Chúa chúng ta ngự đến. Thiên Chúa là Đấng Trung Tín đã kêu mời anh em hiệp nhất với Con của Người là Đức Giêsu Kitô, Chúa chúng ta.\rĐó là lời Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia.-Chúa đã làm cho tôi những điều cao cả, thật danh Người chí thánh chí tôn. Alleluia."},"gospel":{"excerpt":"Lc 1,39-55","info":"“Linh hồn tôi ngợi khen Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy, Maria chỗi dậy, Bà vào nhà ông Dacaria và chào bà Elisabeth. Và khi bà Elisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Elisabeth được đầy Chúa Thánh Thần. Bà kêu lớn tiếng rằng: “Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm tôi? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rVà Maria nói: “Linh hồn tôi ca ngợi Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Người đã nhìn đến phận hèn tôi tớ Người, thực từ đây thiên hạ muôn đời sẽ khen rằng tôi có phước, vì Ðấng đã làm cho tôi những điều trọng đại, Người quyền năng, và Danh Người là thánh. Ðức từ bi Người tự đời nọ tới đời kia dành cho những ai kính sợ Người. Người đã vung cánh tay ra oai thần lực, dẹp tan những ai lòng trí kiêu căng. Người lật đổ người quyền thế xuống khỏi ngai vàng, và nâng cao những người phận nhỏ; người đói khát, Người cho no đầy thiện hảo, bọn giàu sang, Người đuổi về tay không. Người đã nhận săn sóc Israel tôi tớ Người, bởi nhớ lại lòng từ bi của Người, như Người đã phán cùng tổ phụ chúng tôi, cho Abraham và miêu duệ ông tới muôn đời”.","end":"Ðó là lời Chúa"}},
+        "82601": {"firstReading":{"excerpt":"2 Tm 1, 1-8","info":"“Nhớ lại đức tin trung thành của con”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi cho Timô-thêu.","content":"Phaolô, Tông đồ của Chúa Giêsu Kitô, bởi ý định của Thiên Chúa, theo lời hứa ban sự sống trong Chúa Giêsu Kitô, gởi lời thăm Timôthêu, người con yêu dấu. Nguyện chúc ân sủng, lòng từ bi và bình an của Thiên Chúa Cha, và Ðức Giêsu Kitô, Chúa chúng ta.\rCha cảm tạ ơn Chúa, Ðấng cha phụng sự như tổ tiên cha, với tâm hồn trong trắng, khi cha đêm ngày hằng nhớ đến con trong kinh nguyện, nhớ đến nước mắt con đã chảy ra. Cha mong ước gặp con, để được đầy lòng vui mừng. Cha nhớ lại đức tin trung thành của con, đức tin mà bà ngoại của con là Lois đã có trước, rồi đến mẹ con là Êunikê, và cha tin chắc con cũng có đức tin đó. Vì vậy, cha nhắc nhở con điều này, là hãy làm sống động ơn Chúa trong con, ơn mà con lãnh nhận qua việc cha đặt tay trên con. Thật vậy, Thiên Chúa không ban cho chúng ta một thần trí nhát sợ, mà là thần trí dũng mạnh, mến yêu và độ lượng. Vậy con chớ hổ thẹn làm chứng cho Chúa chúng ta, cũng đừng hổ thẹn vì cha là tù nhân của Người; nhưng hãy cộng tác với Tin Mừng dựa theo quyền lực của Thiên Chúa.\r Đó là Lời Chúa.\r. \rHoặc đọc: Tt 1, 1-5\r“Gởi lời thăm Titô, người con chân thật trong cùng một đức tin”.\rTrích thư Thánh Phaolô Tông đồ gửi cho Titô.\rPhaolô, đầy tớ của Thiên Chúa, Tông đồ của Ðức Giêsu Kitô, theo đức tin của những người được Chúa chọn, và sự hiểu biết chân lý theo lòng đạo đức, trong hy vọng được sống đời đời mà Thiên Chúa là Ðấng không lừa dối, đã hứa từ muôn đời; và khi đến giờ đã định, Người bày tỏ lời Người qua việc rao giảng mà Người đã giao phó cho cha theo lệnh của Thiên Chúa Ðấng Cứu độ chúng ta: gởi lời thăm Titô, người con chân thật trong cùng một đức tin. Nguyện chúc cho con được ân sủng và bình an của Thiên Chúa Cha, và của Ðức Giêsu Kitô, Ðấng Cứu độ chúng ta. Ðây là lý do cha để con ở lại Crêta, là để con tổ chức cho xong xuôi tất cả, và thiết lập hàng niên trưởng trong mỗi thành phố, như cha đã truyền dạy cho con.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 7-8a. 10","response":"Ðáp: Hãy tường thuật phép lạ Chúa giữa muôn dân.","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy ca mừng Chúa đi, toàn thể địa cầu! Hãy ca mừng Chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa muôn dân và phép lạ Người ở nơi vạn quốc.","Xướng: Hãy kính tặng Chúa, hỡi người chư dân bá tánh, hãy kính tặng Chúa quyền thế với vinh quang; hãy kính tặng Chúa vinh quang xứng với danh Người. Hãy mang lễ vật, tiến vào hành lang nhà Chúa.","Xướng: Người giữ vững địa cầu cho khỏi lung lay, Người cai quản chư dân theo đường đoan chính."]},"alleluia":{"verse":"Mt 23, 9a. 10b","content":"alleluia! – “Các ngươi chỉ có một Cha, Người ngự trên trời. Các ngươi chỉ có một người chỉ đạo, đó là Ðức Kitô”. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-9","info":"“Lúa chín đầy đồng mà thợ gặt thì ít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người, đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của người. Các con hãy đi. Này Thầy sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường. Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ. Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: “Nước Thiên Chúa đã đến gần các ngươi”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,8 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-02", {
+    "SPECIAL": {
+        "70002": {"firstReading":{"excerpt":"Hc 44, 1.10-15","info":"“Chúng ta hãy ca tụng các bậc cha ông của chúng ta đã sống qua các thời đại”","title":"Bài trích sách Huấn Ca","content":"Giờ đây, chúng ta hãy ca ngợi những vị danh nhân, cũng là cha ông của chúng ta qua các thế hệ. Nhưng các vị sau đây là những người đạo hạnh, công đức của các ngài không chìm vào quên lãng. Dòng dõi các ngài luôn được hưởng một gia tài quý báu đó là lũ cháu đàn con. Dòng dõi các ngài giữ vững các điều giao ước; nhờ các ngài, con cháu cũng một mực trung thành. Dòng dõi các ngài sẽ muôn đời tồn tại, vinh quang các ngài sẽ chẳng phai mờ. Các ngài được mồ yên mả đẹp và danh thơm mãi lưu truyền hậu thế. Dân dân sẽ kể lại đức khôn ngoan của các ngài và cộng đoàn vang tiếng ngợi khen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127,1-2.3.4-5a.5b-6","response":"Đáp: Hạnh phúc thay bạn nào kính sợ Chúa, ăn ở theo đường lối của Người. (c.1)","verses":["Xướng: Hạnh phúc thay bạn nào kính sợ Chúa, ăn ở theo đường lối của Người. Công khó tay bạn làm, bạn được an hưởng, bạn quả là lắm phúc nhiều may.","Xướng: Hiền thê bạn trong cửa trong nhà khác nào cây nho đầy hoa trái; và bầy con tựa những cây ô-liu mơn mởn, xúm xít tại bàn ăn.","Xướng: Đó chính là phúc lộc Chúa dành cho kẻ kính sợ Người. Xin Chúa từ Xi-on xuống cho bạn muôn vàn ơn phúc.","Xướng: Ước chi trong suốt cả cuộc đời bạn được thấy Giê-ru-sa-lem phồn thịnh, được sống lâu bên đàn con cháu. Nguyện chúc Ít-ra-en vui hưởng thái bình"]},"secondReading":{"excerpt":"Ep 6,1-4.18-23","info":"“Hãy tôn kính cha mẹ, để ngươi được hạnh phúc và hưởng thọ trên mặt đất này”","title":"Bài trích thư của thánh Phaolô Tông đồ gửi tín hữu Ê-phê-xô.","content":"Thưa anh em, kẻ làm con, hãy vâng lời cha mẹ theo tinh thần của Chúa, vì đó là điều phải đạo. Hãy tôn kính cha mẹ. Đó là điều răn thứ nhất có kèm theo lời hứa: để ngươi được hạnh phúc và hưởng thọ trên mặt đất này. Những bậc làm cha mẹ, đừng làm cho con cái tức giận, nhưng hãy giáo dục chúng thay mặt Chúa bằng cách khuyên răn và sửa dạy. Theo Thần Khí hướng dẫn, anh em hãy dùng mọi lời kinh và mọi tiếng van nài mà cầu nguyện luôn mãi. Để được như vậy, anh em hãy chuyên cần tỉnh thức và cầu xin cho toàn thể dân thánh. Anh em cũng hãy cầu xin cho tôi nữa, để khi tôi mở miệng nói, thì Thiên Chúa ban lời cho tôi, hầu tôi mạnh dạn loan báo mầu nhiệm của Tin Mừng; tôi là sứ giả của Tin Mừng này cả khi tôi đang bị xiềng xích. Anh em hãy cầu xin cho tôi để khi rao giảng Tin Mừng tôi nói năng mạnh dạn, như bổn phận tôi phải nói.\rAnh Ty-khi-cô, người anh em yêu quý của tôi và là người trung thành phục vụ Chúa, sẽ cho anh em mọi tin tức, để cả anh em nữa cũng biết tôi ra sao, và tôi đang làm gì. Tôi phái anh đến với anh em vì mục đích ấy, để anh em được biết hiện tình của chúng tôi, và để anh khích lệ tâm hồn anh em.\rNguyện xin Thiên Chúa là Cha, và nguyện xin Chúa Giê-su Ki-tô ban cho anh em ơn bình an và lòng mến cùng với lòng tin.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Tv 111,1-2","content":"Alleluia. Alleluia. – Hạnh phúc thay, người kính sợ Chúa, những ưa cùng thích mệnh lệnh Chúa truyền ban. Trên mặt đất, con cháu của họ sẽ hùng cường, dòng dõi kẻ ngay lành được Chúa thương giáng phúc. – alleluia."},"gospel":{"excerpt":"Lc 1,67-75","info":"“Ðể tỏ lòng từ bi với tổ tiên chúng ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Dacaria, cha của Gioan, được đầy Thánh Thần, liền nói tiên tri rằng: “Chúc tụng Thiên Chúa của Israel, vì Chúa đã viếng thăm và cứu chuộc dân Người. Chúa đã gầy dựng cho chúng ta một uy quyền cứu độ. trong nhà Ðavít là tôi tớ Chúa, như Người đã phán qua miệng các thánh nhân từ ngàn xưa, là tiên tri của Chúa; để giải phóng chúng ta khỏi quân thù, và khỏi tay những người ghen ghét chúng ta; để tỏ lòng từ bi với tổ tiên chúng ta, và nhớ lại lời thánh ước của Người: lời minh ước mà Người tuyên thệ, với Abraham tổ phụ chúng ta, rằng: Người cho chúng ta không còn sợ hãi, sau khi thoát khỏi tay quân thù, được phục vụ trước tôn nhan Người, trong thánh thiện và công chính trọn đời chúng ta”.","end":"Ðó là lời Chúa"}},
+        "70202": {"firstReading":{"excerpt":"Ml 3, 1-4","info":"“Ðấng Thống Trị mà các ngươi tìm kiếm, đến trong đền thánh Người”.","title":"Trích sách Tiên tri Malakhi.","content":"Này đây Chúa là Thiên Chúa phán: “Ðây Ta sai thiên thần Ta đi dọn đường trước mặt Ta!” Lập tức Ðấng Thống Trị mà các ngươi tìm kiếm, và thiên thần giao ước mà các ngươi mong ước, đến trong đền thánh Người. Chúa các đạo binh phán: “Này đây Người đến”. Ai có thể suy tưởng đến ngày Người đến, và có thể đứng vững để trông nhìn Người? Vì Người sẽ như lửa thiêu đốt, như thuốc giặt của thợ giặt. Người sẽ ngồi như thợ đúc và thợ lọc bạc, Người sẽ thanh tẩy con cái Lêvi, và làm cho chúng nên sạch như vàng bạc. Chúng sẽ hiến dâng lễ tế cho Chúa trong công bình. Lễ tế của Giuđa và Giêrusalem sẽ đẹp lòng Chúa, như ngày xưa và như những năm trước.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 7. 8. 9. 10","response":"Ðáp: Vua hiển vinh là ai vậy?","verses":["Xướng: Các cửa ơi, hãy ngẩng đầu lên; vươn mình lên, hỡi cửa ngàn thu! để Vua hiển vinh Người ngự qua.","Xướng: Nhưng Vua hiển vinh là ai vậy? Ðó là Chúa dũng lực hùng anh, đó là Chúa anh hùng của chiến chinh.","Xướng: Các cửa ơi, hãy ngẩng đầu lên, vươn mình lên, hỡi cửa ngàn thu, để vua hiển vinh Người ngự qua.","Xướng: Nhưng Vua hiển vinh là ai vậy? Ðó là Chúa đạo thiên binh, chính Người là Hoàng Ðế hiển vinh."]},"secondReading":{"excerpt":"Dt 2, 14-18","info":"“Người phải nên giống anh em mình mọi đàng”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Vì các con trẻ cùng chung thân phận máu thịt, chính Chúa Giêsu cũng giống như chúng, cũng thông phần điều đó, để nhờ cái chết của Người mà Người huỷ diệt kẻ thống trị sự chết là ma quỷ, và để giải thoát tất cả những kẻ sợ chết mà làm nô lệ suốt đời. Vì chưng Người không đến cứu giúp các thiên thần, nhưng đến cứu giúp con cái Abraham. Bởi thế, Người nên giống anh em Mình mọi đàng, ngõ hầu trong khi phụng sự Chúa, Người trở thành đại giáo trưởng nhân lành và trung tín với Chúa, để đền tội cho dân. Quả thật, bởi chính Người đã chịu khổ hình và chịu thử thách, nên Người có thể cứu giúp những ai sống trong thử thách.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 2,32","content":"alleluia! – Ánh sáng đã chiếu soi muôn dân, và là vinh quang của Israel dân Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 2, 22-32 [hoặc 22-40]","info":"“Mắt tôi đã nhìn thấy ơn cứu độ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, đủ ngày thanh tẩy theo luật Môsê, cha mẹ Chúa Giêsu liền đem Người lên Giêrusalem để hiến dâng cho Chúa, như đã chép trong Lề luật Chúa rằng: “Mọi con trai đầu lòng sẽ được gọi là người thánh thuộc về Chúa”. Và cũng để dâng lễ vật cho Chúa, như có nói trong Luật Chúa, là một đôi chim gáy, hay một cặp bồ câu con.\rVà đây ở Giêrusalem, có một người tên là Simêon, là người công chính, kính sợ Thiên Chúa, và đang đợi chờ niềm ủi an của Israel. Thánh Thần cũng ở trong ông. Ông đã được Thánh Thần trả lời rằng: Ông sẽ không chết, trước khi thấy Ðấng Kitô của Chúa. Ðược Thánh Thần thúc giục, ông vào đền thờ ngay lúc cha mẹ trẻ Giêsu đưa Người đến để thi hành cho Người những tục lệ của Lề luật. Ông bồng Người trên cánh tay mình, và chúc tụng Thiên Chúa rằng:\r“Lạy Chúa, giờ đây, Chúa để cho tôi tớ Chúa ra đi bình an theo như lời Chúa đã phán: vì chính mắt con đã nhìn thấy ơn cứu độ của Chúa mà Chúa đã sắm sẵn trước mặt muôn dân, là Ánh sáng chiếu soi các lương dân, và vinh quang của Israel dân Chúa”.\r[ Cha mẹ Người đều kinh ngạc về những điều đã nói về Người. Simêon chúc lành cho hai ông bà và nói với Maria mẹ Người rằng: “Ðây trẻ này được đặt lên, khiến cho nhiều người trong Israel phải sụp đổ hay được đứng dậy, và cũng để làm mục tiêu cho người ta chống đối. Về phần bà, một lưỡi gươm sẽ đâm thấu tâm hồn bà để tâm tư nhiều tâm hồn được biểu lộ!”\rLúc ấy, cũng có bà tiên tri Anna, con ông Phanuel, thuộc chi họ Asê, đã cao niên. Mãn thời trinh nữ, bà đã sống với chồng được bảy năm, rồi thủ tiết cho đến nay đã tám mươi tư tuổi. Bà không rời khỏi đền thờ, đêm ngày ăn chay cầu nguyện phụng sự Chúa. Chính giờ ấy, bà cũng đến, bà liền chúc tụng Chúa, và nói về trẻ Giêsu cho tất cả những người đang trông chờ ơn cứu chuộc Israel.\rKhi hai ông bà hoàn tất mọi điều theo Luật Chúa, thì trở lại xứ Galilêa, về thành mình là Nadarét. Và con trẻ lớn lên, thêm mạnh mẽ, đầy khôn ngoan, và ơn nghĩa Thiên Chúa ở cùng Người. ]","end":"Ðó là lời Chúa"}},
+        "72202": {"firstReading":{"excerpt":"1 Pr 5, 1-4","info":"“Là kỳ lão và nhân chứng cuộc khổ hình của Chúa Kitô”.","title":"Trích thư thứ nhất của Thánh Phê-rô Tông đồ.","content":"Anh em thân mến, tôi xin gởi lời khuyên bảo đến bậc Kỳ Lão trong anh em. Tôi là một Kỳ Lão như các ngài, là một nhân chứng cuộc khổ hình của Chúa Ki-tô, một kẻ sẽ được thông phần vinh quang sắp được tỏ bày. Hãy chăn dắt đoàn chiên Chúa nơi anh em, hãy trông nom nó, không phải bằng cách miễn cưỡng, mà là sẵn sàng theo thánh ý Chúa; không phải để trục lợi, mà là do tình nguyện; không phải như người chuyên chế lộng hành, nhưng phải nên gương sáng cho đoàn chiên. Và khi thủ lãnh các đấng chăn chiên xuất hiện, anh em sẽ nhận lãnh triều thiên vinh quang bất diệt.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3. 4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng. Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người.","Xướng: Dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":"Mt 16, 18","content":"alleluia! – Con là Ðá, trên đá này Thầy sẽ xây Hội Thánh Thầy, và cửa hoả ngục sẽ không thắng được. – Alleluia."},"gospel":{"excerpt":"Mt 16, 13-19","info":"“Con là Ðá, Cha sẽ trao cho con chìa khoá nước trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đến miền Xêsarêa Philipphê, và hỏi các môn đệ rằng: “Người ta bảo Con Người là ai?” Các ông thưa: “Kẻ thì bảo là Gioan Tẩy Giả, kẻ thì bảo là Êlia, kẻ khác lại bảo là Giêrêmia hay một trong các tiên tri!” Chúa Giêsu nói với các ông: “Phần các con, các con bảo Thầy là ai?” Simon Phêrô thưa rằng: “Thầy là Ðức Kitô, Con Thiên Chúa hằng sống”. Chúa Giêsu trả lời rằng: “Hỡi Simon con ông Giona, con có phúc, vì chẳng phải xác thịt máu huyết mạc khải cho con, nhưng là Cha Thầy, Ðấng ngự trên trời. Vậy Thầy bảo con biết: Con là Ðá, trên đá này Thầy sẽ xây Hội Thánh của Thầy, và cửa địa ngục sẽ không thắng được”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,8 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-03", {
+    "SPECIAL": {
+        "70003": {"firstReading":{"excerpt":"St 2, 4b-9.15","info":"“Thiên Chúa đem con người đặt vào vườn địa đàng, để họ trồng tỉa”.","title":"Bài trích sách Sáng Thế.","content":"Trong ngày Thiên Chúa tạo dựng trời đất, thì chưa có bụi cây nào mọc ngoài đồng, không có một cây rau cỏ nào nẩy mầm ngoài đồng ruộng, vì Chúa là Thiên Chúa chưa cho mưa rơi xuống đất, và chưa có người để trồng trọt, nhưng lúc đó mạch nước từ đất vọt lên, tưới khắp mặt đất.\rVậy Thiên Chúa lấy bùn đất nắn thành con người, thổi sinh khí vào lỗ mũi và con người trở thành một vật sống. Thiên Chúa lập một vườn tại E-đen về phía đông và đặt vào đó con người mà Ngài đã dựng nên. Thiên Chúa cho từ đất mọc lên mọi thứ cây trông đẹp, ăn ngon, với cây sự sống ở giữa vườn, và cây biết lành biết dữ. Vậy Thiên Chúa đem con người đặt vào vườn địa đàng, để họ trồng tỉa và coi sóc vườn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103,1bc và 14a.14b-15.20-21.22-23.24","response":"Ðáp: Lạy Chúa là Thiên Chúa con thờ, Chúa muôn trùng cao cả! (c.1bc)","verses":["Xướng: Lạy Chúa là Thiên Chúa con thờ, Chúa muôn trùng cao cả! Ngài khiến mọc cỏ xanh nuôi sống đàn gia súc, làm tốt tươi thảo mộc cho người thế hưởng dùng.","Xướng: Từ ruộng đất, họ kiếm ra cơm bánh, chế rượu ngon cho phấn khởi lòng người, xức dầu thơm cho gương mặt sáng tươi, nhờ cơm bánh mà no lòng chắc dạ.","Xướng: Đêm trở lại khi Chúa buông màn tối, chốn rừng sâu, muông thú tung hoành. Tiếng sư tử gầm lên vang dội, chúng săn mồi, gào xin Chúa cho ăn.","Xướng: Ánh dương lên, chúng bảo nhau về, tìm hang hốc, chui vào nằm nghỉ. Đến lượt con người ra đi làm lụng, những mải mê tới lúc chiều tà.","Xướng: Công trình Ngài, lạy Chúa, quả thiên hình vạn trạng! Chúa hoàn thành tất cả thật khôn ngoan, những loài Chúa dựng nên lan tràn mặt đất"]},"secondReading":{"excerpt":"Cv 20,32-35","info":"Những gì cần thiết cho tôi và cho những người sống với tôi, chính đôi tay này tự cung cấp lấy.","title":"Bài trích sách Công Vụ Tông Đồ","content":"Khi ấy, ông Phao-lô ngỏ lời cùng các kỳ mục trong cộng đoàn Ê-phê-xô rằng: “Giờ đây, tôi xin phó thác anh em cho Thiên Chúa và cho lời ân sủng của Người, là lời có sức xây dựng và ban cho anh em được hưởng phần gia tài cùng với tất cả những người đã được thánh hiến. “Vàng bạc hay quần áo của bất cứ ai, tôi đã chẳng ham. Chính anh em biết rõ: những gì cần thiết cho tôi và cho những người sống với tôi, đôi tay này đã tự cung cấp. Tôi luôn tỏ cho anh em thấy rằng phải giúp đỡ những người đau yếu bằng cách làm lụng vất vả như thế, và phải nhớ lại lời Chúa Giê-su đã dạy: cho thì có phúc hơn là nhận.”","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 15,4a.5b","content":"Alleluia. Alleluia.  – Chúa nói: “Hãy ở lại trong Thầy như Thầy ở lại trong anh em. Ai ở lại trong Thầy, thì sinh nhiều hoa trái”. – alleluia."},"gospel":{"excerpt":"Ga 5,16-20","info":"“Chúa Cha yêu Chúa Con, và bày tỏ cho Chúa Con biết mọi việc mình làm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, các người Do thái gây sự với Chúa Giêsu, vì Người đã chữa bệnh trong ngày sabbat. Chúa Giêsu trả lời họ rằng: “Cha Ta làm việc liên lỉ, Ta cũng làm việc như vậy”. Bởi thế, các người Do thái càng tìm cách giết Người, vì không những Người đã phạm luật nghỉ ngày sabbat, lại còn gọi Thiên Chúa là Cha mình, coi mình ngang hàng với Thiên Chúa. Vì thế, Chúa Giêsu trả lời họ rằng: “Thật, Ta bảo thật cho các ngươi biết: Chúa Con không thể tự mình làm gì, nếu không thấy Chúa Cha làm. Ðiều gì Chúa Cha làm, thì Chúa Con cũng làm y như vậy. Vì chưng, Chúa Cha yêu thương Chúa Con, và bày tỏ cho Chúa Con biết mọi việc mình làm, và sẽ còn bày tỏ những việc lớn lao hơn thế nữa, đến nỗi các ngươi sẽ phải thán thục”.","end":"Ðó là lời Chúa"}},
+        "71903": {"firstReading":{"excerpt":"2 Sm 7, 4-5a. 12-14a. 16","info":"“Thiên Chúa sẽ ban cho Người ngôi báu của Ðavít, tổ phụ Người”.","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, Chúa phán cùng Na-than rằng: “Hãy đi nói với Ða-vít tôi tớ Ta rằng: Khi ngày của ngươi đã viên mãn, ngươi sẽ yên nghỉ với các tổ phụ ngươi; sau đó, Ta sẽ cho miêu duệ ngươi lên kế vị và Ta sẽ làm cho triều đại người được vững bền. Chính người sẽ xây cất một ngôi nhà để kính danh Ta, và Ta sẽ làm cho ngôi báu triều đại người được củng cố đến muôn đời. Ta sẽ là Cha của người, và người sẽ là con Ta. Nhà của ngươi và triều đại của ngươi sẽ vững chắc đến muôn đời trước mặt Ta, ngôi báu ngươi sẽ vững bền mãi mãi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 2-3. 4-5. 27 và 29","response":"Ðáp: Miêu duệ người tồn tại đến muôn đời","verses":["Xướng: Tôi sẽ ca ngợi tình thương của Chúa tới muôn đời; qua mọi thế hệ, miệng tôi loan truyền lòng trung thành Chúa. Vì Ngài đã phán: “Tình thương của Ta đứng vững muôn đời”; trên cõi trời cao, Ngài thiết lập lòng trung tín.","Xướng: Ta đã ký minh ước cùng người ta tuyển lựa, Ta đã thề cùng Ða-vít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha con, và Thiên Chúa là Ðá Tảng cứu độ của con”. Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì."]},"secondReading":{"excerpt":"Rm 4, 13. 16-18. 22","info":"“Mặc dầu tuyệt vọng, ông vẫn tin”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Rô-ma.","content":"Anh em thân mến, không phải nhờ lề luật mới có lời hứa ban cho Áp-ra-ham hay dòng dõi của ông trở nên kẻ thừa kế thế gian, nhưng là nhờ sự công chính của đức tin. Vì thế, do đức tin, được coi như là theo ân sủng, lời hứa cho mọi dòng dõi được vững bền, không phải chỉ cho kẻ sinh bởi lề luật, mà còn cho kẻ sinh bởi đức tin của Áp-ra-ham, tổ phụ của mọi người chúng ta, (như có lời chép rằng: Ta đã đặt ngươi làm cha nhiều dân tộc) trước mặt Thiên Chúa, Ðấng ông đã tin, Ðấng cho kẻ chết sống lại, và kêu gọi cái không có như có. Mặc dầu tuyệt vọng, ông vẫn tin rằng mình sẽ trở thành cha nhiều dân tộc, như có lời đã phán với ông rằng: “Dòng dõi ngươi sẽ như thế”. Vì vậy, ông đã được kể như sự công chính.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia. Alleluia. - Lạy Chúa, phúc cho những ai ngụ nơi nhà Chúa, họ sẽ khen ngợi Chúa đến muôn đời. – Alleluia."},"gospel":{"excerpt":"Mt 1, 16. 18-21. 24a","info":"“Giu-se đã thực hiện như lời Thiên thần Chúa truyền”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Gia-cóp sinh Giu-se là bạn của Ma-ri-a, mẹ của Chúa Giê-su gọi là Ðức Ki-tô. Chúa Kitô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Ma-ri-a đính hôn với Giu-se, trước khi về chung sống với nhau, đã thụ thai bởi phép Chúa Thánh Thần. Giu-se bạn của bà là người công chính, không muốn tố cáo bà, nên định tâm lìa bỏ bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì Thiên thần hiện đến cùng ông trong giấc mơ và bảo: “Hỡi Giu-se con vua Ða-vít, đừng ngại nhận Ma-ri-a về nhà làm bạn mình, vì Ma-ri-a mang thai là bởi phép Chúa Thánh Thần; bà sẽ sinh hạ một con trai mà ông đặt tên là Giê-su: vì chính Người sẽ cứu dân mình khỏi tội”. Khi tỉnh dậy, Giu-se đã thực hiện như lời Thiên thần Chúa truyền.\rHoặc: Lc 2, 41-51a\r“Kìa cha Con và mẹ đây đã đau khổ tìm Con”.\rTin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.\rHằng năm cha mẹ Chúa Giê-su có thói quen lên Giê-ru-sa-lem để mừng lễ Vượt Qua. Lúc bấy giờ Chúa Giê-su lên mười hai tuổi, cha mẹ Người đã lên Giê-ru-sa-lem, theo tục lệ mừng ngày lễ Vượt Qua. Và khi những ngày lễ đã hoàn tất, hai ông bà ra về, trẻ Giê-su đã ở lại Giê-ru-sa-lem mà cha mẹ Người không hay biết. Tưởng rằng Người ở trong nhóm các khách đồng hành, hai ông bà đi được một ngày đàng, mới tìm kiếm Người trong nhóm bà con và những kẻ quen biết. Nhưng không gặp thấy Người, nên hai ông bà trở lại Giê-ru-sa-lem để tìm Người.\rSau ba ngày, hai ông bà gặp thấy Người trong đền thờ đang ngồi giữa các thầy tiến sĩ, nghe và hỏi các ông. Tất cả những ai nghe Người nói, đều ngạc nhiên trước sự hiểu biết và những câu Người đáp lại. Nhìn thấy Người, hai ông bà ngạc nhiên, và mẹ Người bảo Người rằng: “Con ơi, sao Con làm cho chúng ta như thế? Kìa cha Con và mẹ đây đã đau khổ tìm Con”. Người thưa với hai ông bà rằng: “Mà tại sao cha mẹ tìm con? Cha mẹ không biết rằng con phải lo công việc của Cha con ư?” Nhưng hai ông bà không hiểu lời Người nói. Bấy giờ Người theo hai ông bà trở về Na-da-rét, và Người vâng phục hai ông bà.","end":"Ðó là lời Chúa"}},
+        "72503": {"firstReading":{"excerpt":"Is 7, 10-14","info":"“Này trinh nữ sẽ thụ thai”.","title":"Trích sách Tiên tri Isaia.","content":"Ngày ấy, Chúa phán bảo vua A-khát rằng: “Hãy xin Thiên Chúa, Chúa ngươi, một dấu ở dưới lòng đất hay ở trên trời cao!” Nhưng vua A-khát thưa: “Tôi sẽ không xin, vì tôi không dám thử Chúa”. Và I-sai-a nói: “Vậy nghe đây, hỡi nhà Ða-vít, làm phiền lòng người ta chưa đủ ư, mà còn muốn làm phiền lòng Thiên Chúa nữa? Vì thế chính Chúa sẽ cho các ngươi một dấu: này một trinh nữ sẽ thụ thai, sinh hạ một con trai, và tên con trẻ sẽ gọi là Em-ma-nu-en, nghĩa là Thiên Chúa ở cùng chúng ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 11","response":"Ðáp: Lạy Chúa, này con xin đến để thực thi ý Chúa","verses":["Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở tai con. Chúa không đòi hỏi lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong cuốn sách đã chép về con, lạy Chúa, con sung sướng thực thi ý Chúa, và luật pháp của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong đại hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi.","Xướng: Con chẳng có che đậy đức công minh Chúa trong lòng con; con đã kể ra lòng trung thành với ơn phù trợ Chúa; con đã không giấu giếm gì với đại hội về ân sủng và lòng trung thành của Chúa."]},"secondReading":{"excerpt":"Dt 10, 4-10","info":"“Ở đoạn đầu cuốn sách đã viết về tôi là, lạy Chúa, tôi thi hành thánh ý Chúa”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, máu bò và dê đực không thể xoá được tội lỗi. Vì thế, khi đến trong thế gian, Chúa Giê-su phán: “Chúa đã không muốn hy tế và của lễ hiến dâng, nhưng đã tạo nên cho con một thể xác. Chúa không nhận của lễ toàn thiêu và của lễ đền tội. Nên con nói: Lạy Chúa, này con đến để thi hành thánh ý Chúa, như đã nói về con ở đoạn đầu cuốn sách. Sách ấy bắt đầu như thế này: Của lễ hy tế, của lễ hiến dâng, của lễ toàn thiêu và của lễ đền tội, Chúa không muốn cũng không nhận, mặc dầu được hiến dâng theo lề luật”. Ðoạn Người nói tiếp: “Lạy Chúa, này con đến để thi hành thánh ý Chúa”. Như thế đã bãi bỏ điều trước để thiết lập điều sau, chính bởi thánh ý đó mà chúng ta được thánh hoá nhờ việc hiến dâng Mình Chúa Giêsu Kitô một lần là đủ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng ta, và chúng ta đã nhìn thấy vinh quang của Người. -Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Bà sẽ thụ thai, sinh hạ một con trai”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, thiên thần Gáp-ri-en được Chúa sai đến một thành xứ Ga-li-lê-a, tên là Na-da-rét, đến với một trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ða-vít, trinh nữ ấy tên là Ma-ri-a. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào Bà đầy ơn phước, Thiên Chúa ở cùng Bà, Bà được chúc phúc giữa các người phụ nữ”. Nghe lời đó, Bà bối rối và tự hỏi lời chào đó có ý nghĩa gì.\rThiên thần liền thưa: “Ma-ri-a đừng sợ, vì đã được nghĩa với Chúa. Này Bà sẽ thụ thai, sinh một Con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ða-vít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Gia-cóp, và triều đại Người sẽ vô tận”.\rNhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với Bà và uy quyền Ðấng Tối Cao sẽ bao trùm Bà. Vì thế Ðấng Bà sinh ra, sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, I-sa-ve chị họ Bà cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ họi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMa-ri-a liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và thiên thần cáo biệt Bà.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,7 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-04", {
+    "SPECIAL": {
+        "72404": {"firstReading":{"excerpt":"Cv 7, 44-50","info":"“Đấng Tối Cao không cư ngụ trong nhà do tay người phàm xây dựng”.","title":"Trích sách Tông Đồ Công vụ.","content":"Trong những ngày ấy, (Têphanô nói với dân chúng, các kỳ lão và các luật sĩ rằng:) Trong sa mạc, cha ông chúng ta đã có nhà tạm biểu chứng lời giao ước theo như Chúa truyền dạy ông Môsê phải xây cất đúng theo kiểu mẫu ông đã trông thấy. Khi đã nhận nhà tạm ấy, cha ông chúng ta cùng đi với ông Giosuê mang nó theo khi chiếm lãnh đất đai các dân tộc mà Thiên Chúa đã xua đuổi trước mặt cha ông chúng ta cho đến thời vua Đavit. Ông này đã được nghĩa trước mặt Chúa và xin tìm một nơi cư ngụ cho Thiên Chúa của Giacóp. Còn vua Salomon đã xây cất cho Thiên Chúa một ngôi nhà. Nhưng Đấng Tối Cao không cư ngụ trong ngôi nhà do tay người phàm xây dựng, như lời tiên tri đã nói: “Trời là ngai tòa của Ta, còn đất là bệ chân của ta”. Chúa phán : “Các ngươi sẽ xây cất cho Ta ngôi nhà như thế nào? Hoặc nơi nào là nơi Ta an nghỉ? Há tay Ta chẳng dựng nên tất cả những thứ đó hay sao?” ","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 83, 3. 4. 5 và 10. 11","response":"Ðáp: Ôi Chúa thiên binh, khả ái thay cung điện của Chúa (c. 2).","verses":["Xướng: Linh hồn tôi khát khao và mòn mỏi, mong vào hành lang nhà Ðức Thiên Chúa. Tâm thần và thể xác tôi hoan hỉ tìm đến cùng Thiên Chúa trường sinh.","Xướng: Ðến như chim sẻ còn kiếm được nhà, và chim nhạn tìm ra tổ ấm, để làm nơi ấp ủ con mình, cạnh bàn thờ Chúa, ôi Chúa là Thiên Chúa thiên binh, Ôi Ðại Vương và Thiên Chúa của con.","Xướng: Ôi Thiên Chúa, phúc đức ai ngụ nơi nhà Chúa: họ sẽ khen ngợi Chúa tới muôn đời. Thuẫn đỡ cho chúng con, xin hãy nhìn xem, lạy Thiên Chúa, xin hãy đoái nhìn mặt Ðức Kitô của Người.","Xướng: Thực, một ngày sống trong hành lang nhà Chúa, đáng quý hơn ngàn ngày ở nơi đâu khác. Con ưa đứng nơi ngưỡng cửa nhà Chúa con, hơn là cư ngụ trong lều bọn ác nhân."]},"alleluia":{"verse":"2 Sb 7, 16","content":"alleluia! – Chúa phán: “Ta đã chọn lựa và thánh hoá nơi này, để danh Ta được hiện diện khắp nơi cho đến muôn đời. – Alleluia."},"gospel":{"excerpt":"Ga 2, 13-22","info":"“Người có ý nói đền thờ là thân thể Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Lễ Vượt Qua của dân Do-thái gần đến, Chúa Giêsu lên Giêrusa-lem; Người thấy ở trong đền thờ có những người bán bò, chiên, chim câu và cả những người ngồi đổi tiền bạc. Người chắp dây thừng làm roi, đánh đuổi tất cả bọn cùng với chiên bò ra khỏi đền thờ, Người hất tung tiền của những người đổi bạc, xô đổ bàn ghế của họ, và bảo những người bán chim câu rằng: “Hãy đem những thứ này đi khỏi đây, và đừng làm nhà Cha Ta thành nơi buôn bán”.\rMôn đệ liền nhớ lại câu Kinh Thánh: “Sự nhiệt thành vì nhà Chúa sẽ thiêu đốt tôi”.\rBấy giờ người Do-thái bảo Người rằng: “Ông hãy tỏ cho chúng tôi thấy dấu gì là ông có quyền làm như vậy”. Chúa Giêsu trả lời: “Các ông cứ phá huỷ đền thờ này đi, nội trong ba ngày Ta sẽ dựng lại”. Người Do-thái đáp lại: “Phải bốn muơi sáu năm mới xây được đền thờ này mà ông, ông sẽ dựng lại trong ba ngày ư?” Nhưng Người, Người có ý nói đền thờ là thân thể Người. Vì thế, khi Chúa Giêsu từ cõi chết sống lại, các môn đệ mới nhớ lời đó, nên đã tin Kinh Thánh và tin lời Người đã nói.","end":"Ðó là lời Chúa"}},
+        "72504": {"firstReading":{"excerpt":"1 Pr 5, 5b-14","info":"“Marcô, con tôi, gửi lời chào anh em”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, tất cả anh em hãy mặc lấy đức khiêm nhường để đối xử với nhau, vì Thiên Chúa chống lại kẻ kiêu căng và ban ơn cho người khiêm nhường. Vậy anh em hãy hạ mình dưới bàn tay uy quyền của Thiên Chúa, để Người nhắc anh em lên trong thời giờ Người thăm viếng. Anh em hãy trút bỏ cho Người mọi điều lo lắng của anh em, bởi vì chính Người chăm sóc anh em.\rAnh em hãy ăn ở tiết độ và hãy tỉnh thức, vì kẻ thù anh em là ma quỷ, như sư tử gầm thét, nó rình mò chung quanh, tìm kiếm một ai để nuốt. Anh em hãy vững vàng trong đức tin mà chống lại nó, vì biết rằng hết mọi người anh em khác trong thế gian đều phải chịu cùng một sự đau khổ đó. Nhưng Thiên Chúa nguồn mạch mọi ân sủng, Ðấng đã kêu gọi anh em tham dự vinh quang đời đời của Người trong Ðức Giêsu Kitô, chính Người sẽ làm cho anh em là những người chịu đau khổ ít lâu, được hoàn thiện, vững vàng và kiên cố. Nguyện Người được vinh quang và uy quyền đến muôn đời. Amen.\rNhờ Silvanô, người anh em trung tín, tôi cam đoan như thế, tôi viết vắn tắt thư này cho anh em, để khuyên nhủ và chứng thực rằng đó là ơn đích thực của Thiên Chúa, và anh em đang tận hưởng. Hội thánh được tuyển chọn ở Babylon và Marcô, con tôi, gởi lời chào anh em. Anh em hãy chào nhau trong cái hôn thánh thiện.\rNguyện (chúc) ơn Chúa ở cùng tất cả anh em, những người ở trong Ðức Giêsu Kitô. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 2-3. 6-7. 16-17","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời (c. 2a). \\r Hoặc đọc: Alleluia.","verses":["Xướng: Con sẽ ca ngợi tình thương của Chúa tới muôn đời. Qua mọi thế hệ, miệng con loan truyền lòng trung thành Chúa. Vì Ngài đã phán: “Tình thương của Ta đứng vững muôn đời”; trên cõi trời cao, Ngài thiết lập lòng trung tín.","Xướng: Lạy Chúa, trời xanh ca tụng những kỳ công của Chúa, và lòng trung thành Chúa trong công hội thánh nhân. Vì trên cõi nước mây, ai bằng được Chúa, trong các con Thiên Chúa, ai giống như Ngài?","Xướng: Phúc thay dân tộc biết hân hoan, lạy Chúa, họ tiến thân trong ánh sáng nhan Ngài. Họ luôn luôn mừng rỡ vì danh Chúa, và tự hào vì đức công minh Ngài."]},"alleluia":{"verse":"1 Cr 1, 23. 24","content":"alleluia! – Chúng tôi rao giảng Ðức Kitô chịu đóng đinh, Ngài là quyền năng và khôn ngoan của Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 16, 15-20","info":"“Các con hãy đi khắp thế gian rao giảng Tin Mừng”.","title":"Bài kết thúc Phúc Âm theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu hiện ra với mười một môn đệ và phán: “Các con hãy đi khắp thế gian, rao giảng Tin mừng cho mọi tạo vật. Ai tin và chịu phép rửa, thì sẽ được cứu độ; ai không tin, sẽ bị luận phạt. Và đây là những phép lạ đi theo những người đã tin: nhân danh Thầy, họ sẽ trừ quỷ, nói các thứ tiếng mới lạ, cầm rắn trong tay, và nếu uống phải chất độc, thì cũng không bị hại; họ đặt tay trên những người bệnh, và bệnh nhân sẽ được lành mạnh”.\rVậy sau khi nói với các môn đệ, Chúa Giêsu lên trời, và ngự bên hữu Thiên Chúa. Phần các ông, các ông đi rao giảng khắp mọi nơi, có Chúa cùng hoạt động với các ông, và củng cố lời giảng dạy bằng những phép lạ kèm theo.","end":"Ðó là lời Chúa"}}
+    }
+});
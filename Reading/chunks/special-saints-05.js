@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-05", {
+    "SPECIAL": {
+        "70305": {"firstReading":{"excerpt":"1 Cr 15, 1-8","info":"“Chúa hiện ra với Gia-cô-bê, rồi với tất cả các Tông đồ”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, tôi xin nhắc lại cho anh em Tin Mừng mà tôi đã rao giảng cho anh em, và anh em đã lãnh nhận và đang tin theo, nhờ đó anh em được cứu độ, nếu anh em tuân giữ lời lẽ tôi đã rao giảng cho anh em, bằng không anh em đã tin cách vô ích.\rTôi đã rao truyền cho anh em trước tiên điều mà chính tôi đã nhận lãnh: đó là Ðức Ki-tô đã chết vì tội lỗi chúng ta, đúng theo như lời Thánh Kinh. Người được mai táng và ngày thứ ba Người đã sống lại đúng theo như lời Thánh Kinh. Người đã hiện ra với ông Kê-pha, rồi sau với mười một vị. Sau đó, Người đã hiện ra với hơn năm trăm anh em trong một lúc; nhiều người trong số anh em đó hãy còn sống tới nay, nhưng có vài người đã chết. Thế rồi Người hiện ra với Gia-cô-bê, rồi với tất cả các Tông đồ. Sau cùng, Người cũng hiện ra với chính tôi như với đứa con đẻ non.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Ðáp: Tiếng chúng đã vang cùng trái đất. \\r Hoặc đọc: Alleluia.","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa, thanh không kể ra sự nghiệp tay Người. Ngày này nhắc nhủ cho ngày khác, đêm này truyền tụng cho đêm kia.","Xướng: Ðây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu."]},"alleluia":{"verse":"Ga 14, 6b và 9c","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống. Hỡi Philipphê, ai thấy Thầy là xem thấy Cha Thầy”. – Alleluia."},"gospel":{"excerpt":"Ga 14, 6-14","info":"“Nếu điều gì các con nhân danh Thầy mà xin, Thầy sẽ làm cho”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su phán cùng Tô-ma rằng: “Thầy là đường, là sự thật và là sự sống. Không ai đến được với Cha mà không qua Thầy. Nếu các con biết Thầy, thì cũng biết Cha Thầy. Ngay từ bây giờ, các con biết và đã xem thấy Người”.\rPhi-líp-phê thưa: “Lạy Thầy, xin tỏ cho chúng con xem thấy Cha và như thế là đủ cho chúng con”.\rChúa Giê-su nói cùng ông rằng: “Thầy ở với các con bấy lâu rồi, thế mà con chưa biết Thầy ư? Phi-líp-phê, ai thấy Thầy là xem thấy Cha. Sao con lại nói: ‘Xin tỏ cho chúng con xem thấy Cha?’ Con không tin Thầy ở trong Cha, và Cha ở trong Thầy ư? Những điều Thầy nói với các con, không phải tự mình mà nói, nhưng chính Cha ở trong Thầy, Ngài làm mọi việc. Các con hãy tin rằng Thầy ở trong Cha, và Cha ở trong Thầy. Ít ra các con hãy tin vì các việc Thầy đã làm. Thật, Thầy bảo thật các con: Ai tin vào Thầy, người ấy sẽ làm được những việc Thầy đã làm. Người ấy còn làm được những việc lớn lao hơn, vì Thầy về với Cha. Và điều gì các con nhân danh Thầy mà xin Cha, Thầy sẽ làm, để Cha được vinh hiển trong Con. Nếu điều gì các con nhân danh Thầy mà xin cùng Thầy, Thầy sẽ làm cho”.","end":"Ðó là lời Chúa"}},
+        "71405": {"firstReading":{"excerpt":"Cv 1, 15-17. 20-26","info":"“Mát-thi-a trúng thăm, ông được kể vào số mười một Tông Ðồ”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phê-rô đứng lên giữa anh em (đám đông có chừng một trăm hai mươi người) mà nói: “Hỡi anh em, phải ứng nghiệm lời Thánh Kinh mà Thánh Thần đã dùng miệng Ða-vít để tiên báo về Giu-đa, kẻ hướng dẫn những người bắt Chúa Giê-su. Hắn cũng là một trong số chúng ta, đã thông phần chức vụ của chúng ta. Vì chưng, trong Thánh vịnh có chép rằng: “Trại của nó sẽ trở nên hoang vắng, và không một ai ở lại trong đó, và một người khác sẽ lãnh lấy chức vụ của nó”. Vậy trong những người đi cùng với chúng ta suốt thời gian Chúa Giê-su sống giữa chúng ta, kể từ ngày Gio-an thanh tẩy cho đến ngày Chúa Giê-su lìa chúng ta mà lên trời, chúng ta phải chọn lấy một trong những người có mặt đây, để cùng với chúng ta làm chứng Người đã sống lại”.\rHọ giới thiệu hai người: ông Giu-se, tức Ba-sa-ba, biệt danh là Công chính, và ông Mát-thi-a. Ðoạn họ cầu nguyện rằng: “Lạy Chúa, Chúa thấu suốt tâm hồn mọi người, xin hãy tỏ ra Chúa chọn ai trong hai người này để nhận chức vụ và tước hiệu Tông đồ thay cho Giu-đa, kẻ đã hư hỏng mà đi đến nơi của nó”. Thế rồi họ bỏ thăm và Mát-thi-a đã trúng thăm: ông được kể vào số với mười một Tông đồ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6. 7-8","response":"Ðáp: Chúa cho người ngồi với những bậc quân vương của dân Người (c. 8).","verses":["Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa. Nguyện danh Chúa được chúc tụng từ bây giờ và cho đến muôn đời.","Xướng: Từ mặt trời mọc lên tới khi lặn xuống, nguyện cho danh Chúa được ngợi khen. Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời, là vinh quang của Chúa.","Xướng: Ai được như Thiên Chúa chúng tôi, Người ngự trên nơi cao thẳm, và Người để mắt nhìn coi, khắp cả trên trời dưới đất?","Xướng: Người nâng cao kẻ túng thiếu từ chỗ bụi tro, và cất nhắc bạn cơ bần từ nơi phẩn thổ, hầu cho họ ngồi với những bậc quân vương, với những bậc quân vương của dân Người."]},"alleluia":{"verse":"Ga 15, 16","content":"alleluia! – Chúa phán: “Không phải các con đã chọn Thầy, nhưng chính Thầy đã chọn các con, để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại”. – Alleluia."},"gospel":{"excerpt":"Ga 15, 9-17","info":"“Thầy không còn gọi các con là tôi tớ: Thầy gọi các con là bạn hữu”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như Cha đã yêu mến Thầy, Thầy cũng yêu mến các con. Hãy ở lại trong tình yêu của Thầy. Nếu các con tuân lệnh Thầy truyền, các con sẽ ở trong tình yêu của Thầy; cũng như Thầy đã giữ lệnh truyền của Cha Thầy, nên Thầy ở lại trong tình yêu của Người. Thầy nói với các con điều đó, để niềm vui của Thầy ở trong các con, và niềm vui của các con được trọn vẹn.\r“Ðây là lệnh truyền của Thầy: Các con hãy yêu mến nhau, như Thầy đã yêu mến các con. Không có tình yêu nào lớn hơn tình yêu của người thí mạng vì bạn hữu mình. Các con là bạn hữu của Thầy, nếu các con thi hành những điều Thầy truyền.\r“Thầy không còn gọi các con là tôi tớ, vì tôi tớ không biết việc chủ làm; Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết. Không phải các con đã chọn Thầy, nhưng chính Thầy đã chọn các con, và đã cắt đặt, để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại, để những gì các con xin Cha nhân danh Thầy, Người sẽ ban cho các con. Thầy truyền cho các con điều này là: các con hãy yêu mến nhau”.","end":"Ðó là lời Chúa"}},
+        "73105": {"firstReading":{"excerpt":"Xp 3, 14-18a","info":"“Vua Ít-ra-en là Chúa ở giữa ngươi”.","title":"Trích sách Tiên tri Xô-phô-ni-a.","content":"Hỡi thiếu nữ Si-on, hãy cất tiếng ca! Hỡi Ít-ra-en, hãy hoan hỉ! Hỡi thiếu nữ Giê-ru-sa-lem, hãy hân hoan và hãy nhảy mừng hết tâm hồn! Chúa đã rút lại lời kết án ngươi, và đã đẩy lui quân thù của ngươi. Vua Ít-ra-en là Chúa ở giữa ngươi, ngươi không còn sợ khổ cực nữa.\rTrong ngày đó, ở Giê-ru-sa-lem thiên hạ sẽ nói rằng: “Hỡi Si-on, đừng sợ! Tay đừng bủn rủn! Chúa là Thiên Chúa ngươi, là Ðấng mạnh mẽ ở giữa ngươi, chính Người cứu thoát ngươi. Người hân hoan vui mừng vì ngươi. Với ngươi, Người làm mới lại tình yêu của Người. Vì ngươi, Người nhảy mừng trong tiếng reo vui, như thuở tao phùng”.\rHoặc đọc: Rm 12, 9-16\r“Hãy giúp đỡ các thánh khi họ thiếu thốn, và ân cần tiếp khách đỗ nhà”.\rTrích thư của Thánh Phao-lô Tông đồ gửi tín hữu Rô-ma.\rAnh em thân mến, đức ái không được giả hình: Hãy chê ghét điều ác và trìu mến điều lành. Hãy thương yêu nhau trong tình bác ái huynh đệ. Hãy nhân nhượng tôn kính nhau. Hãy siêng năng, chớ biếng nhác: Hãy sốt mến trong tâm hồn và phụng sự Chúa. Hãy hân hoan trong niềm cậy trông, nhẫn nại trong gian truân và kiên tâm cầu nguyện. Hãy giúp đỡ các thánh khi họ thiếu thốn, và ân cần tiếp khách đỗ nhà.\rHãy chúc phúc cho những kẻ bắt bớ anh em: Hãy chúc phúc, chứ đừng chúc dữ. Hãy vui mừng với kẻ vui mừng, và khóc lóc với kẻ khóc lóc. Hãy đồng tâm hiệp ý với nhau: đừng tự cao tự đại, một hãy ưa thích những sự hèn kém. Ðừng tự đắc cho mình là khôn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","response":"Ðáp: Ðấng Thánh cao cả của Ít-ra-en ở giữa ngươi","verses":["Xướng: Này là Thiên Chúa, Ðấng cứu độ tôi, tôi sẽ tin tưởng hành động và không sợ hãi: vì Chúa là sức mạnh và là sự ngợi khen của tôi, và Người đã đem lại cho tôi ơn cứu độ. – Ðáp.","Xướng: Hãy tuyên xưng Chúa và kêu cầu thánh danh Người; hãy làm cho các dân tộc biết việc Chúa sáng tạo; hãy nhớ rằng danh Người thật cao sang. – Ðáp.","Xướng: Hãy ca mừng Chúa, vì người đã làm những việc trọng đại; hãy công bố việc đó trong khắp hoàn cầu. Hỡi dân thành Sion, hãy nhảy mừng và ca ngợi, vì Ðấng Thánh cao cả của Israel ở giữa ngươi. – Ðáp."]},"alleluia":{"verse":"Lc 1, 45","content":"alleluia! – Hỡi Trinh Nữ Ma-ri-a, phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện. – Alleluia."},"gospel":{"excerpt":"Lc 1, 39-56","info":"“Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm tôi?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Trong những ngày ấy, Ma-ri-a chỗi dậy, vội vã ra đi lên miền núi, đến một thành xứ Giu-đê-a. Bà vào nhà ông Da-ca-ri-a và chào bà Ê-li-sa-bét. Và khi bà Ê-li-sa-bét nghe lời chào của Ma-ri-a, thì hài nhi nhảy mừng trong lòng bà, và bà Ê-li-sa-bét được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng:\r“Bà được chúc phúc giữa các người phụ nữ, và con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Thiên Chúa tôi đến viếng thăm? Vì này tai tôi vừa nghe lời Bà chào, thì hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rVà Ma-ri-a nói: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Chúa đã đoái nhìn đến phận hèn tớ nữ của Chúa. Này từ nay muôn thế hệ sẽ khen rằng tôi có phước, vì Ðấng toàn năng đã làm cho tôi những sự trọng đại và Danh Ngài là thánh. Lòng thương xót Chúa trải qua đời nọ đến đời kia dành cho những người kính sợ Chúa.\r“Chúa đã vung cánh tay ra oai thần lực, dẹp tan những ai thần trí kiêu căng. Chúa lật đổ người quyền thế xuống khỏi ngai vàng và nâng cao những người phận nhỏ. Chúa đã cho người đói khát no đầy ơn phước, và để người giàu có trở về tay không. Chúa đã săn sóc Ít-ra-en tôi tớ Chúa, bởi nhớ lại lòng thương xót của Ngài. Như Chúa đã phán cùng các tổ phụ chúng tôi, cho Áp-ra-ham và dòng dõi người đến muôn đời”.\rMaria ở lại với bà Ê-li-sa-bét độ ba tháng, đoạn Người trở về nhà mình.","end":"Ðó là lời Chúa"}},
+        "80105": {"firstReading":{"excerpt":"St 1, 26 – 2, 3","info":"“Hãy sinh sôi nảy nở cho nhiều đầy mặt đất, và thống trị nó”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa phán: “Chúng ta hãy dựng nên con người theo hình ảnh giống như Ta, để chúng làm chủ cá biển, chim trời, dã thú khắp mặt đất, và tất cả loài bò sát di chuyển trên mặt đất”. Vậy Thiên Chúa đã tạo thành con người giống hình ảnh Chúa. Người tạo thành con người giống hình ảnh Thiên Chúa. Người tạo thành họ có nam có nữ. Thiên Chúa chúc phúc cho họ và phán rằng: “Hãy sinh sôi nảy nở cho nhiều đầy mặt đất, và thống thị nó, hãy bá chủ cá biển, chim trời và toàn thể sinh vật di chuyển trên mặt đất”.\rThiên Chúa phán: “Ðây Ta ban cho các ngươi làm thức ăn mọi thứ cây cỏ mang hạt giống trên mặt đất, và toàn thể thảo mộc sinh trái có hạt tuỳ theo giống. Ta ban mọi thứ cây cỏ xanh tươi làm thức ăn cho mọi dã thú trên mặt đất, chim trời và toàn thể sinh vật di chuyển trên mặt đất”. Và đã xảy ra như vậy. Thiên Chúa thấy mọi sự Người đã làm rất tốt đẹp. Qua một buổi chiều và một buổi sáng: đó là ngày thứ sáu. Thế là trời đất và mọi vật trang điểm của chúng đã hoàn thành.\rNgày thứ bảy, Thiên Chúa đã hoàn tất công việc Người đã làm. Và sau khi hoàn tất công việc Người đã làm, thì ngày thứ bảy Người nghỉ ngơi. Người chúc phúc và thánh hoá ngày thứ bảy, vì trong ngày đó Người nghỉ việc tạo thành.\r Đó là Lời Chúa. \r.\rHoặc: Cl 3, 14-15. 17. 23-24\r“Tất cả những gì anh em thực hiện, anh em hãy thành tâm thực hiện như cho Thiên Chúa, chớ không phải cho người đời”.\rTrích thư của Thánh Phaolô Tông đồ gửi tín hữu Cô-lô-xê.\rAnh em thân mến, trên hết mọi sự, anh em hãy có đức yêu thương, đó là dây ràng buộc điều toàn thiện. Nguyện cho bình an của Chúa Ki-tô làm chủ trong lòng anh em, sự bình an mà anh em đã được kêu gọi tới để làm nên một thân thể. Anh em hãy cảm tạ Thiên Chúa.\rVà tất cả những gì anh em làm, trong lời nói cũng như trong hành động, tất cả mọi chuyện, anh em hãy làm vì danh Chúa Giê-su Ki-tô, nhờ Người mà tạ ơn Thiên Chúa Cha.\rTất cả những gì anh em thực hiện, anh em hãy thành tâm thực hiện như cho Thiên Chúa, chứ không phải cho người đời; vì anh em biết rằng anh em sẽ lãnh nhận phần thưởng gia nghiệp do Thiên Chúa trao ban, nên anh em hãy phục vụ Chúa Ki-tô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 2. 3-4. 12-13. 14 và 16","response":"Ðáp: Lạy Chúa, xin củng cố sự nghiệp tay chúng con làm ra. Hoặc đọc: Alleluia.","verses":["Xướng: Ôi Thiên Chúa, trước khi núi non sinh đẻ, trước khi địa cầu và vũ trụ nở ra, tự thuở này qua thuở kia, vẫn có Ngài.","Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Ngài phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chứ còn để tới bao giờ? Xin tỏ lòng xót thương tôi tớ của Ngài!","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con được mừng rỡ hân hoan trọn đời sống chúng con. Xin cho các bầy tôi nhìn thấy sự nghiệp của Chúa, và cho con cháu họ được thấy vinh quang Ngài."]},"alleluia":{"verse":"Tv 67, 20","content":"alleluia! – Chúc tụng Chúa trong mọi ngày, Thiên Chúa là Ðấng Cứu Ðộ chúng ta, Người vác lấy gánh nặng của chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 13, 54-58","info":"“Ông ta không phải là con bác phó mộc sao?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su trở về quê nhà, giảng dạy dân chúng trong hội đường, họ bỡ ngỡ và nói rằng: “Bởi đâu ông này khôn ngoan và tài giỏi như thế? Ông không phải là con bác thợ mộc ư? Mẹ ông không phải là bà Ma-ri-a? và Gia-cô-bê, Giu-se, Si-mon và Giu-đa không phải là anh em của ông sao? Và tất cả chị em của ông không phải ở nơi chúng ta đó sao? Vậy bởi đâu ông được mọi điều ấy như thế?” Và họ lấy làm gai chướng về Người. Nhưng Chúa Giê-su nói với họ: “Không có tiên tri nào được vinh dự nơi quê hương và nơi nhà mình”. Và Người không làm nhiều phép lạ tại đó, vì họ cứng lòng tin.","end":"Ðó là lời Chúa"}},
+        "72405AU": {"firstReading":{"excerpt":"Kh 11, 19a; 12, 1-6a, 10ab","info":"“Một người nữ mặc áo mặt trời, chân đạp mặt trăng”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Ðền thờ Thiên Chúa trên trời đã mở ra. Và một điềm lạ vĩ đại xuất hiện trên trời: một người nữ mặc áo mặt trời, chân đạp mặt trăng, đầu đội triều thiên mười hai ngôi sao: Bà đang mang thai, kêu la chuyển bụng, và đau đớn sinh con.\rLại một điềm lạ khác xuất hiện trên trời: một con rồng đỏ khổng lồ, có bảy đầu, mười sừng, và trên bảy đầu, đội bảy triều thiên. Ðuôi nó kéo đi một phần ba tinh tú trên trời mà ném xuống đất. Con rồng đứng trước mặt người nữ sắp sinh con, để khi Bà sinh con ra, thì nuốt lấy đứa trẻ.\rBà sinh được một con trai, Ðấng sẽ dùng roi sắt mà cai trị muôn dân: Con Bà được mang về cùng Thiên Chúa, đến tận ngai của Người. Còn Bà thì trốn lên rừng vắng, ở đó Bà được Thiên Chúa dọn sẵn cho một nơi.\rVà tôi nghe có tiếng lớn trên trời phán rằng: “Nay sự cứu độ, quyền năng, vương quyền của Thiên Chúa chúng ta, và uy quyền của Ðức Kitô của Người đã được thực hiện”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng","verses":["Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."]},"secondReading":{"excerpt":"Gl 4, 4-7","info":"“Thiên Chúa đã sai Con Ngài sinh hạ bởi người phụ nữ”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Ga-lát.","content":"Anh em thân mến, khi đã tới lúc thời gian viên mãn, Thiên Chúa đã sai Con Ngài sinh hạ bởi người phụ nữ, sinh dưới chế độ Luật, để cứu chuộc những người ở dưới chế độ Luật, hầu cho chúng ta được nhận làm dưỡng tử. Sở dĩ vì anh em được làm con, Thiên Chúa đã sai Thần Trí của Con Ngài vào tâm hồn chúng ta, kêu lên rằng: “Áp-ba!”, nghĩa là “Lạy Cha!” Thế nên, bạn không còn phải là tôi tớ, nhưng là con; mà nếu là con, tất bạn cũng là người thừa kế, nhờ ơn Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 1, 45","content":"alleluia! – Hỡi Trinh Nữ Ma-ri-a, phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện. – Alleluia."},"gospel":{"excerpt":"Ga 2, 1-12","info":"“Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, có tiệc cưới tại Cana xứ Galilêa. Và có mẹ của Chúa Giêsu ở đó. Chúa Giêsu và các môn đệ Người cũng được mời dự tiệc cưới. Và bỗng thiếu rượu, mẹ Chúa Giêsu nói với Người: “Họ hết rượu rồi”. Chúa Giêsu nói với mẹ: “Hỡi bà, Con với bà có can chi đâu, giờ Con chưa đến”. Mẹ Người nói với những người giúp việc: “Hễ Người bảo gì, thì phải làm theo”. Ở đó có sáu chum đá, dùng vào việc thanh tẩy của người Do-thái, mỗi chum đựng được hai hoặc ba thùng nước. Chúa Giêsu bảo họ: “Hãy đổ nước đầy các chum”. Họ đổ đầy tới miệng. Và Chúa Giêsu bảo họ: “Bây giờ hãy múc đem cho người quản tiệc!” Và họ đã đem đi. Khi người quản tiệc nếm thử nước đã hoá thành rượu, ông không biết tự đâu ra, nhưng những người giúp việc đã múc nước thì biết, ông mới gọi tân lang mà nói: “Ai cũng đem rượu ngon ra trước, khi khách ngà ngà thì mới đem rượu xoàng hơn. Còn ông, ông lại giữ rượu ngon tới giờ này”. Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa, và đã tỏ vinh quang Người và các môn đệ Người tin Người.\r{Sau đó Người xuống Capharnaum làm một với mẹ Người, anh em (Người) và môn đệ của Người, nhưng các Ngài chỉ lưu lại ở đó ít ngày thôi.}","end":"Ðó là lời Chúa"}},
+        "73005FR": {"firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","info":"“Ta sẽ đính hôn với ngươi đến muôn đời”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng","verses":["Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."},"gospel":{"excerpt":"Mt 25, 1-13","info":"“Kìa chàng rể đến, hãy ra đón người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.","end":"Ðó là lời Chúa"}}
+    }
+});
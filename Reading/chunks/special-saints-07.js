@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-07", {
+    "SPECIAL": {
+        "70307": {"firstReading":{"excerpt":"Ep 2, 19-22","info":"“Anh em được xây dựng trên nền tảng các tông đồ”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em không còn là khách trọ và khách qua đường nữa, nhưng là người đồng hương với các Thánh và là người nhà của Thiên Chúa: anh em đã được xây dựng trên nền tảng các Tông đồ và các Tiên tri, có chính Ðức Giê-su Ki-tô làm Ðá góc tường. Trong Người, tất cả toà nhà được xây dựng cao lên thành đền thánh trong Chúa, trong Người, cả anh em cũng được xây dựng làm một với nhau, để trở thành nơi Thiên Chúa ngự trong Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 116, 1. 2","response":"Ðáp: Hãy đi rao giảng Tin Mừng khắp thế gian","verses":["Xướng: Hỡi muôn dân, hãy ngợi khen Chúa! Hỡi ngàn dân, hãy ca tụng Người. – Ðáp.","Xướng: Vì lòng từ bi Người vững bền trên chúng ta, và lòng trung kiên Người tồn tại đến muôn đời. – Ðáp."]},"alleluia":{"verse":"Ga 20, 29","content":"alleluia! – Tôma, vì con đã xem thấy Thầy nên con đã tin. Phúc cho những ai đã không thấy mà tin. – Alleluia."},"gospel":{"excerpt":"Ga 20, 24-29","info":"“Lạy Chúa con, lạy Thiên Chúa của con!”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Bấy giờ trong Mười Hai Tông đồ, có ông Tô-ma gọi là Ði-đy-mô, không ở cùng với các ông, khi Chúa Giê-su hiện đến. Các môn đệ khác đã nói với ông rằng: “Chúng tôi đã xem thấy Chúa”. Nhưng ông đã nói với các ông kia rằng: “Nếu tôi không nhìn thấy vết đinh ở tay Người, nếu tôi không thọc ngón tay vào lỗ đinh, nếu tôi không thọc bàn tay vào cạnh sườn Người thì tôi không tin”. Tám ngày sau, các môn đệ lại họp nhau trong nhà, và có Tô-ma ở với các ông. Trong khi các cửa vẫn đóng kín, Chúa Giê-su hiện đến đứng giữa mà phán: “Bình an cho các con”. Ðoạn Người nói với Tô-ma: “Hãy xỏ ngón tay vào đây và hãy xem tay Thầy; hãy đưa bàn tay con ra và xỏ vào cạnh sườn Thầy; chớ cứng lòng, nhưng hãy tin”. Tô-ma thưa rằng: “Lạy Chúa con, lạy Thiên Chúa của con!” Chúa Giê-su nói với ông: “Tô-ma, vì con đã thấy Thầy nên con đã tin. Phúc cho những ai đã không thấy mà tin”.","end":"Ðó là lời Chúa"}},
+        "72207": {"firstReading":{"excerpt":"Dc 3, 1-4a","info":"“Tôi đã gặp người tôi yêu”.","title":"Trích sách Diễm Ca.","content":"Suốt đêm trên giường ngủ, tôi đã tìm kiếm người tôi yêu: Tôi đã tìm kiếm chàng, nhưng tôi không gặp được chàng. Tôi chỗi dậy, và đi quanh thành phố, đi qua các phố xá và công trường, tôi tìm kiếm người tôi yêu. Tôi đã tìm kiếm chàng, nhưng tôi không gặp được chàng. Các người lính canh gác thành phố gặp tôi và tôi hỏi họ: “Các anh có thấy người tôi yêu không?” Tôi vừa đi qua khỏi họ, thì gặp ngay người tôi yêu.\rHoặc: 2 Cr 5, 14-17\r“Từ nay chúng ta không biết Ðức Kitô theo xác thịt nữa”.\rTrích thư thứ hai của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.\rAnh em thân mến, lòng mến của Ðức Ki-tô thúc bách chúng ta; chúng ta xác tín điều này là một người đã chết vì mọi người, vậy mọi người đều đã chết. Và Ðức Ki-tô đã chết thay cho mọi người, để những ai đang sống, thì không còn sống cho chính mình nữa, mà là sống cho Ðấng đã chết và sống lại vì họ. Vì thế, từ nay chúng ta không còn biết ai theo xác thịt nữa. Mặc dù nếu chúng ta đã biết Ðức Ki-tô theo xác thịt, thì giờ đây chúng ta không còn biết như thế nữa. Vậy nếu ai đã trở nên một tạo vật mới trong Ðức Ki-tô, thì những gì cũ đã qua rồi, vì đây mọi sự đều được trở nên mới.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 8-9","response":"Ðáp: Lạy Chúa là Thiên Chúa con, linh hồn con khao khát Chúa","verses":["Xướng: Ôi lạy Chúa, Chúa là Thiên Chúa của con, con thao thức chạy kiếm Ngài. Linh hồn con khát khao, thể xác con mong đợi Chúa như đất héo khô, khát mong mà không gặp nước!","Xướng: Con cũng mong được chiêm ngưỡng thiên nhan ở thánh đài, để nhìn thấy quyền năng và vinh quang của Chúa. Vì ân tình của Ngài đáng chuộng hơn mạng sống; miệng con sẽ xướng ca ngợi khen Ngài.","Xướng: Con sẽ chúc tụng Ngài như thế trọn đời con, con sẽ giơ tay kêu cầu danh Chúa. Hồn con được no thoả dường như mỹ vị cao lương, và miệng con ca ngợi Chúa với cặp môi hoan hỉ.","Xướng: Vì Chúa đã ra tay trợ phù con, để con được hoan hỉ núp trong bóng cánh của Ngài. Linh hồn con bám thân vào Chúa, và tay hữu Chúa nâng đỡ người con."]},"alleluia":{"verse":" ","content":"alleluia! – Hỡi Ma-ri-a, hãy nói cho chúng tôi biết bà đã thấy gì trên đường? -Tôi đã thấy mộ của Ðức Ki-tô hằng sống và vinh quang của Ðấng sống lại. – Alleluia."},"gospel":{"excerpt":"Ga 20, 1. 11-18","info":"“Bà kia, sao mà khóc? Bà tìm ai?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Ngày đầu tuần, Ma-ri-a Ma-đa-lê-na đi ra mồ từ sáng sớm khi trời còn tối, và bà thấy tảng đá đã được lăn ra khỏi mồ.\r(Bà liền chạy về tìm Si-mon Phê-rô và người môn đệ khác được Chúa Giê-su yêu mến, bà nói với các ông rằng: “Người ta đã lấy xác Thầy khỏi mồ, và chúng tôi không biết người ta để Thầy ở đâu”.)\rBà Ma-ri-a đang còn đứng gần mồ Chúa mà than khóc, nhìn vào trong mồ, bà thấy hai thiên thần mặc áo trắng đang ngồi nơi đã đặt xác Chúa Giê-su, một vị ngồi phía đàng đầu, một vị ngồi phía đàng chân. Hai vị hỏi: “Tại sao bà khóc?” Bà trả lời: “Người ta đã lấy mất xác Chúa tôi, và tôi không biết người ta đã để Người ở đâu?” Vừa nói xong, bà quay mặt lại, thì thấy Chúa Giê-su đã đứng đó. Nhưng bà chưa biết là Chúa Giê-su.\rChúa Giê-su hỏi: “Bà kia, sao mà khóc? Bà tìm ai?” Tưởng là người giữ vườn, Ma-ri-a thưa: “Thưa ông, nếu ông đã mang xác Người đi, thì xin cho tôi biết ông đã đặt Người ở đâu, để tôi đến lấy xác Người”. Chúa Giê-su gọi: “Ma-ri-a”. Quay mặt lại, bà thưa Người: “Rabboni”, nghĩa là “Lạy Thầy”. Chúa Giê-su bảo bà: “Ðừng động đến Ta, vì Ta chưa về cùng Cha Ta. Nhưng hãy báo tin cho các anh em Ta hay và bảo họ rằng: “Ta về cùng Cha Ta, cũng là Cha các con; về cùng Thiên Chúa Ta, cũng là Thiên Chúa các con”.\rMa-ri-a Ma-đa-lê-na đi báo tin cho các môn đệ rằng: “Tôi đã trông thấy Chúa, và Chúa đã phán với tôi những điều ấy”.","end":"Ðó là lời Chúa"}},
+        "72507": {"firstReading":{"excerpt":"2 Cr 4, 7-15","info":"“Chúng ta luôn mang trên thân xác mình sự chết của Ðức Giê-su”.","title":"Trích thư thứ hai của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, Chúng ta chứa đựng kho tàng ấy trong những bình sành để biết rằng quyền lực vô song đó là của Thiên Chúa, chớ không phải phát xuất tự chúng ta. Chúng ta chịu khổ cực tư bề, nhưng không bị đè bẹp; chúng ta phải long đong, nhưng không tuyệt vọng; chúng ta bị bắt bớ, nhưng không bị bỏ rơi; bị quật ngã, nhưng không bị tiêu diệt. Bởi vì chúng ta luôn mang trên thân xác mình sự chết của Ðức Giê-su, để sự sống của Ðức Giê-su được tỏ hiện nơi thân xác chúng ta. Vì chưng, mặc dầu chúng ta đang sống, nhưng vì Ðức Giê-su, chúng ta luôn luôn nộp mình chịu chết, để sự sống của Ðức Giê-su được tỏ hiện trong thân xác hay chết của chúng ta. Vậy sự chết hoành hành nơi chúng tôi, còn sự sống hoạt động nơi anh em.\rNhưng anh em hãy có một tinh thần đức tin như đã chép rằng: “Tôi đã tin, nên tôi đã nói”, và chúng tôi tin, nên chúng tôi cũng nói, bởi chúng tôi biết rằng Ðấng đã làm cho Ðức Giê-su sống lại, cũng sẽ làm cho chúng tôi được sống lại với Ðức Giê-su và sẽ đặt chúng tôi bên Người làm một với anh em. Mọi sự đều vì anh em, để ân sủng càng tràn đầy, bởi nhiều kẻ tạ ơn, thì càng gia tăng vinh quang Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","response":"Ðáp: Ai gieo trong lệ sầu, sẽ gặt trong hân hoan","verses":["Xướng: Khi Chúa đem những người Si-on bị bắt trở về, chúng tôi dường như người đang mơ; bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: “Chúa đã đối xử với họ cách đại lượng”. Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan. Ðáp.","Xướng: Lạy Chúa, xin hãy đổi số phận chúng con, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo; họ trở về trong hân hoan, vai mang những bó lúa. ."]},"alleluia":{"verse":"Ga 15, 16","content":"alleluia! – Chúa phán: “Thầy đã chọn các con ra khỏi thế gian, để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại”. – Alleluia."},"gospel":{"excerpt":"Mt 20, 20-28","info":"“Các con sẽ uống chén của Ta”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, bà mẹ các con ông Giê-bê-đê cùng với hai con đến gặp Chúa Giê-su. Bà sấp mình xuống lạy Người, có ý xin Người điều chi đó. Người hỏi: “Bà muốn gì?” Bà ta thưa lại: “Xin Ngài hãy truyền cho hai con tôi đây được ngồi một đứa bên hữu, một đứa bên tả Ngài, trong Nước Ngài”.\rChúa Giê-su đáp lại: “Các ngươi không biết điều các ngươi xin. Các ngươi có thể uống chén mà ít nữa đây ta sắp uống chăng?” Họ nói với Người: “Thưa được”. Người bảo họ: “Vậy các ngươi sẽ uống chén của Ta, còn việc ngồi bên hữu hay bên tả, thì không thuộc quyền Ta ban, nhưng Cha Ta đã chuẩn bị cho ai thì người ấy mới được”. Nghe vậy, mười người kia tỏ ra bất bình với hai anh em.\rChúa Giê-su gọi họ lại mà bảo: “Các con biết thủ lãnh của các dân tộc thì thống trị họ và những người làm lớn thì hành quyền trên họ. Giữa các con thì không được thế. Trong các con, ai muốn làm lớn, thì hãy phục vụ các con, và ai muốn cầm đầu các con, thì hãy làm tôi tớ các con. Cũng như Con Người đến không phải để được người ta phục vụ, nhưng để phục vụ và phó mạng sống làm giá chuộc cho nhiều người”.","end":"Ðó là lời Chúa"}},
+        "82607": {"firstReading":{"excerpt":"Hc 44, 1. 10-15","info":"“Miêu duệ họ tồn tại đến muôn đời”.","title":"Trích sách Huấn Ca.","content":"Chúng ta hãy ca tụng những vĩ nhân và các tổ phụ chúng ta qua các thời đại. Có những người nhân hậu, mà việc thiện của họ không bao giờ bị lãng quên. Dòng dõi họ được hưởng hạnh phúc, và họ sẽ có con cháu nối dòng, miêu duệ họ trung thành với lời giao ước và con cái họ nhờ họ cũng được trung thành. Miêu duệ họ sẽ tồn tại đến muôn đời, và vinh quang của họ không bao giờ bị lu mờ. Thân xác họ được chôn cất bình an, tên tuổi họ sẽ sống đời này qua đời nọ. Sự khôn ngoan của họ cộng đoàn truyền tụng, và công hội thuật lại lời ngợi khen họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 131, 11. 13-14. 17-18","response":"Ðáp: Chúa là Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người","verses":["Xướng: Chúa đã thề hứa cùng Ðavít một lời hứa quả quyết mà Người sẽ chẳng rút lời, rằng: “Ta sẽ đặt lên ngai báu của ngươi một người con cháu thuộc dòng giống ngươi”.","Xướng: Bởi chưng Chúa đã kén chọn Sion, đã thích lựa Sion làm nơi cư ngụ cho mình. Ngài phán: “Ðây là nơi nghỉ ngơi của Ta tới muôn đời, Ta sẽ cư ngụ nơi đây, vì Ta ưa thích”.","Xướng: Tại đó, Ta sẽ gầy dựng một uy quyền cho Ðavít, sẽ chuẩn bị ngọn đèn sáng cho người được Ta xức dầu. Ta sẽ bắt những kẻ thù ghét người tủi hổ, nhưng triều thiên của Ta chiếu sáng rực rỡ trên mình người."]},"alleluia":{"verse":"x. Lc 2, 25c","content":"alleluia! – Các ngài mong đợi niềm an ủi của Israel, và Thánh Thần ngự trong các ngài. – Alleluia."},"gospel":{"excerpt":"Mt 13, 16-17","info":"“Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Phúc cho mắt các con vì được thấy; và phúc cho tai các con vì được nghe. Quả thật, Thầy bảo các con: Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy, mà không được thấy; mong ước nghe điều các con nghe, mà không được nghe”.","end":"Ðó là lời Chúa"}},
+        "82907": {"firstReading":{"excerpt":"1 Ga 4, 7-16","info":"“Thiên Chúa thương yêu chúng ta trước”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, chúng ta phải thương yêu nhau, vì tình yêu bởi Thiên Chúa mà ra. Vì lẽ hễ ai thương yêu, thì đã sinh bởi Thiên Chúa, và nhận biết Thiên Chúa. Còn ai không yêu thương, thì không biết Thiên Chúa, vì Thiên Chúa là Tình Yêu.\rÐiều này biểu lộ tình yêu của Thiên Chúa đối với chúng ta: là Thiên Chúa chúng ta đã sai Con Một Người đến trong thế gian, để nhờ Ngài mà chúng ta được sống. Tình yêu ấy là thế này: Không phải chúng ta đã yêu mến Thiên Chúa, nhưng chính Người đã thương yêu chúng ta trước, và đã sai Con Một Người đến hy sinh, đền thay vì tội lỗi chúng ta.\rCác con thân mến, nếu Thiên Chúa thương yêu chúng ta dường ấy, thì chúng ta cũng phải thương yêu nhau. Chẳng ai thấy Thiên Chúa bao giờ, nếu chúng ta thương yêu nhau, thì Thiên Chúa ở trong chúng ta, và tình yêu của Người nơi chúng ta đã được tuyệt hảo. Do điều này mà chúng ta biết chúng ta ở trong Người và Người ở trong chúng ta: là Người đã ban Thánh Thần cho chúng ta. Và chúng ta đã thấy và chứng nhận rằng Chúa Cha đã sai Con mình làm Ðấng Cứu Thế.\rAi tuyên xưng Ðức Giê-su là Con Thiên Chúa, thì Thiên Chúa ở trong người ấy, và người ấy ở trong Thiên Chúa. Còn chúng ta, chúng ta đã biết và tin vào tình yêu của Thiên Chúa đối với chúng ta. Thiên Chúa là Tình Yêu, và ai ở trong tình yêu, thì ở trong Thiên Chúa, và Thiên Chúa ở trong người ấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao (c. 9a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhận lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng:  Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Thần Chúa hạ trại đồn binh, chung quanh những người kính sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao, phúc đức ai tìm nương tựa ở Người."]},"alleluia":{"verse":"x. Lc 2, 25c","content":"alleluia! – Chúa phán: “Ta là ánh sáng thế gian; ai theo Ta, sẽ có ánh sáng ban sự sống. – Alleluia."},"gospel":{"excerpt":"Ga 11, 19-27","info":"“Con đã tin Thầy là Ðấng Ki-tô, Con Thiên Chúa hằng sống”.","title":"Tin Mừng Chúa Giêsu Ki-tô theo Thánh Gio-an.","content":"Khi ấy, nhiều người Do-thái đến nhà Mác-ta và Ma-ri-a để an ủi hai bà vì người em đã chết. Khi hay tin Chúa Giê-su đến, Mác-ta đi đón Người, còn Ma-ri-a vẫn ngồi nhà. Mác-ta thưa Chúa Giê-su: “Thưa Thầy, nếu Thầy có mặt ở đây thì em con không chết. Tuy nhiên, ngay cả bây giờ, con biết Thầy xin gì cùng Thiên Chúa, Thiên Chúa cũng sẽ ban cho Thầy”. Chúa Giê-su nói: “Em con sẽ sống lại”. Mác-ta thưa: “Con biết ngày tận thế, khi kẻ chết sống lại, thì em con sẽ sống lại”. Chúa Giê-su nói: “Ta là sự sống lại và là sự sống, ai tin Ta, dầu có chết cũng sẽ được sống. Và kẻ nào sống mà tin Ta, sẽ không chết bao giờ. Con có tin điều đó không?” Bà thưa: “Thưa Thầy: vâng, con đã tin Thầy là Ðấng Ki-tô, Con Thiên Chúa hằng sống đã đến trong thế gian”.","end":"Ðó là lời Chúa"}},
+        "71407US": {"firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","info":"“Ta sẽ đính hôn với ngươi đến muôn đời”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng","verses":["Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."},"gospel":{"excerpt":"Mt 25, 1-13","info":"“Kìa chàng rể đến, hãy ra đón người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,13 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-08", {
+    "SPECIAL": {
+        "71008": {"firstReading":{"excerpt":"2 Cr 9, 6-10","info":"“Thiên Chúa yêu thương kẻ cho cách vui lòng”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, ai gieo ít thì gặt ít; ai gieo nhiều thì gặt nhiều. Mỗi người hãy cho theo như lòng đã định, không phải cách buồn rầu, hoặc vì miễn cưỡng: Thiên Chúa yêu thương kẻ cho cách vui lòng. Thiên Chúa có quyền cho anh em được dư tràn mọi ân phúc: để anh em vừa luôn luôn sung túc mọi mặt, vừa còn được dư dật để làm các thứ việc phúc đức, như đã chép rằng: “Người đã rộng tay bố thí cho kẻ nghèo khó, đức công chính của Người sẽ tồn tại muôn đời”. Ðấng đã cung cấp hạt giống cho kẻ gieo và bánh để nuôi mình, thì cũng sẽ cung cấp cho anh em hạt giống dư đầy, và sẽ làm phát triển hoa quả sự công chính của anh em.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 5-6. 7-8. 9","response":"Ðáp: Phúc đức cho người biết xót thương và cho vay","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng hâm mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong đất nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Phúc đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình. Cho tới đời đời người sẽ không nao núng: người hiền đức sẽ được ghi nhớ muôn đời.","Xướng: Người không kinh hãi vì nghe tin buồn thảm, lòng người vững vàng cậy trông vào Chúa. Lòng người kiên nghị, người không kinh hãi, cho tới khi nhìn thấy kẻ thù phải hổ ngươi.","Xướng: Người ban phát và bố thí cho những kẻ nghèo, lòng quảng đại của người muôn đời còn mãi; sừng người được ngẩng lên trong vinh quang."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ai theo Ta sẽ không đi trong tối tăm, nhưng sẽ có ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Ga 12, 24-26","info":"“Ai phụng sự Ta thì Cha Ta sẽ tôn vinh nó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thật, Ta nói thật với các con: Nếu hạt lúa mì rơi xuống đất mà không thối đi, thì nó chỉ trơ trọi một mình, nhưng nếu nó thối đi, thì nó sinh nhiều bông hạt. Ai yêu sự sống mình thì sẽ mất, và ai ghét sự sống mình ở đời này, thì sẽ giữ được nó cho sự sống đời đời. Ai phụng sự Ta, hãy theo Ta, và Ta ở đâu, thì kẻ phụng sự Ta cũng sẽ ở đó. Ai phụng sự Ta, Cha Ta sẽ tôn vinh nó”.","end":"Ðó là lời Chúa"}},
+        "71408": {"firstReading":{"excerpt":"1 Sb 15, 3-4. 15-16; 16, 1-2","info":"“Mọi người cung nghinh hòm bia Thiên Chúa đến đặt giữa nhà xếp do Đavít dựng lên”.","title":"Trích sách Sử Biên Niên quyển thứ nhất.","content":"Trong những ngày ấy, Đavít triệu tập toàn thể dân Israel và Giêrusalem, để cung nghinh hòm bia Thiên Chúa đến nơi đã dọn sẵn. Có cả con cái Aaron và những người thuộc dòng tộc Lêvi.\rCon cái Lêvi dùng đòn khiêng mà khiêng hòm bia Thiên Chúa trên vai, như Môsê đã truyền dạy theo lời Chúa phán. Đavít cũng truyền lệnh cho các trưởng tộc người Lêvi phải cắt đặt anh em mình phụ trách ca hát, với những nhạc khí, gồm đàn cầm, đàn sắt và não bạt, để trổi lên những tiếng đàn ca hân hoan. Vậy mọi người cung nghinh hòm bia Thiên Chúa đến đặt giữa nhà xếp do Đavít dựng lên: đoạn hiến dâng của lễ toàn thiêu và cầu an trước mặt Chúa. Khi vua Đavít hiến dâng của lễ toàn thiêu và cầu an xong, người nhân danh Chúa chúc lành cho dân chúng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 131, 6-7. 9-10. 13-14","response":"Đáp: Lạy Chúa, xin lên đường đi tới nơi an nghỉ, Chúa và Hòm bia oai quyền của Chúa cùng đi","verses":["Xướng: Đây là điều chúng tôi đã nghe nói tại E-phra-ta, chúng tôi đã gặp thấy nơi đồng ruộng Gia-ar. Chúng ta hãy tiến vào nhà Chúa, hãy sụp lạy trước bệ dưới chân Người.","Xướng: Các tư tế của Ngài hãy mặc lấy lòng đạo đức, và các tín đồ của Ngài hãy mừng rỡ hân hoan. Xin vì Đavít là tôi tớ Chúa, Chúa đừng hắt hủi người được Chúa xức dầu.","Xướng: Bởi chưng Chúa đã kén chọn Sion, đã thích lựa Sion làm nơi cư ngụ cho mình. Ngài phán: “Đây là nơi nghỉ ngơi của Ta tới muôn đời, Ta sẽ cư ngụ nơi đây, vì Ta ưa thích”."]},"secondReading":{"excerpt":"1 Cr 15, 54-57","info":"“Người đã ban cho chúng ta sự chiến thắng nhờ Đức Giêsu Kitô”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, khi xác hay chết này mặc lấy sự trường sinh, thì lúc ấy ứng nghiệm lời đã ghi chép rằng: “Sự chết đã tiêu tan trong chiến thắng. Hỡi tử thần, chiến thắng của ngươi ở đâu? Hỡi tử thần, nọc độc của ngươi ở đâu? Nọc độc của sự chết là tội, thế lực của tội là lề luật”. Cảm tạ ơn Thiên Chúa, Đấng đã ban cho chúng ta chiến thắng nhờ Đức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 11, 28","content":"alleluia! – Phúc cho những ai nghe và giữ lời Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 11, 27-28","info":"“Phúc cho dạ đã cưu mang Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đang giảng cho dân chúng, thì từ giữa đám dân chúng, có một phụ nữ cất tiếng nói rằng: “Phúc cho dạ đã cưu mang Thầy và vú đã cho Thầy bú”. Nhưng Người phán rằng: “Những ai nghe và giữ lời Thiên Chúa thì có phúc hơn”.","end":"Ðó là lời Chúa"}},
+        "71508": {"firstReading":{"excerpt":"Kh 11, 19a; 12, 1-6a, 10ab","info":"“Một người nữ mặc áo mặt trời, chân đạp mặt trăng”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Ðền thờ Thiên Chúa trên trời đã mở ra. Và một điềm lạ vĩ đại xuất hiện trên trời: một người nữ mặc áo mặt trời, chân đạp mặt trăng, đầu đội triều thiên mười hai ngôi sao: Bà đang mang thai, kêu la chuyển bụng, và đau đớn sinh con.\rLại một điềm lạ khác xuất hiện trên trời: một con rồng đỏ khổng lồ, có bảy đầu, mười sừng, và trên bảy đầu, đội bảy triều thiên. Ðuôi nó kéo đi một phần ba tinh tú trên trời mà ném xuống đất. Con rồng đứng trước mặt người nữ sắp sinh con, để khi Bà sinh con ra, thì nuốt lấy đứa trẻ.\rBà sinh được một con trai, Ðấng sẽ dùng roi sắt mà cai trị muôn dân: Con Bà được mang về cùng Thiên Chúa, đến tận ngai của Người. Còn Bà thì trốn lên rừng vắng, ở đó Bà được Thiên Chúa dọn sẵn cho một nơi.\rVà tôi nghe có tiếng lớn trên trời phán rằng: “Nay sự cứu độ, quyền năng, vương quyền của Thiên Chúa chúng ta, và uy quyền của Ðức Kitô của Người đã được thực hiện”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng","verses":["Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."]},"secondReading":{"excerpt":"1 Cr 15, 20-26","info":"“Hoa quả đầu mùa là Ðức Kitô, đoạn đến những kẻ thuộc về Chúa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, Ðức Kitô đã từ cõi chết sống lại, là hoa quả đầu mùa của những kẻ yên giấc. Vậy sự chết bởi một người, thì sự kẻ chết sống lại cũng bởi một người. Cũng như mọi người đều phải chết nơi Ađam thế nào, thì mọi người cũng sẽ được tác sinh trong Ðức Kitô như vậy. Nhưng ai nấy đều theo thứ tự của mình, hoa quả đầu mùa là Ðức Kitô, đoạn đến những kẻ thuộc về Ðức Kitô, những kẻ đã tin Người xuống thế: rồi đến tận cùng, khi Người đã trao vương quốc lại cho Thiên Chúa Cha, và đã tiêu diệt mọi đầu mục, quyền năng và thế lực. Nhưng Người còn phải cai trị cho đến khi Người đặt mọi quân thù dưới chân Người. Kẻ thù cuối cùng sẽ bị tiêu diệt là sự chết, bởi Người đã bắt mọi sự quy phục dưới chân Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"alleluia! – Ðức Maria được mời gọi lên trời; đạo binh các thiên thần mừng rỡ hân hoan. – Alleluia."},"gospel":{"excerpt":"Lc 1, 39-56","info":"“Ðấng toàn năng đã làm cho tôi những sự trọng đại: Người nâng cao những người phận nhỏ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy, Maria chỗi dậy, vội vã ra đi lên miền núi, đến một thành xứ Giuđêa. Bà vào nhà ông Dacaria và chào bà Elisabeth, và khi bà Elisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Elisabeth được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng:\r“Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rVà Maria nói: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Chúa đã đoái nhìn đến phận hèn tớ nữ của Chúa. Này từ nay muôn thế hệ sẽ khen tôi có phước, vì Ðấng toàn năng đã làm cho tôi những sự trọng đại, và Danh Ngài là thánh. Lòng thương xót Chúa trải qua đời nọ đến đời kia dành cho những người kính sợ Chúa. Chúa đã vung cánh tay ra oai thần lực, dẹp tan những ai thần trí kiêu căng. Chúa lật đổ người quyền thế xuống khỏi ngai vàng và nâng cao những người phận nhỏ. Chúa đã cho người đói khát no đầy ơn phước, và để người giàu có trở về tay không. Chúa săn sóc Israel tôi tớ Chúa, bởi nhớ lại lòng thương xót của Ngài. Như Chúa đã phán cùng các tổ phụ chúng tôi, cho Abraham và dòng dõi người đến muôn đời”.\rMaria ở lại với bà Elisabeth độ ba tháng, đoạn Người trở về nhà mình.","end":"Ðó là lời Chúa"}},
+        "72408": {"firstReading":{"excerpt":"Kh 21, 9b-14","info":"“Trên mười hai móng có khắc tên mười hai tông đồ của Con Chiên”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Thiên Thần nói với tôi rằng: “Ngươi hãy đến, ta sẽ chỉ cho ngươi xem phu nhân, bạn của Con Chiên”.\rThiên Thần đem tôi lên một núi cao chót vót khi tôi ngất trí, và chỉ cho tôi thấy thành thánh Giêrusalem từ trời nơi Thiên Chúa mà xuống, chói lọi vinh quang Thiên Chúa. Ánh sáng của nó toả ra như đá quý, giống như ngọc thạch, óng ánh tựa pha lê. Thành có tường luỹ cao lớn, trổ mười hai cổng, trên các cổng có mười hai thiên thần, và có khắc tên mười hai chi họ con cái Israel. Phía đông có ba cổng, phía bắc có ba cổng, phía nam có ba cổng, và phía tây có ba cổng. Tường thành xây trên mười hai móng có khắc tên mười hai tông đồ của Con Chiên. Còn đền thờ, tôi không thấy có trong thành, vì Thiên Chúa toàn năng và Con Chiên là đền thờ của thành. Thành không cần mặt trời mặt trăng chiếu soi: vì đã có vinh quang Thiên Chúa chiếu sáng nó và đèn của nó chính là Con Chiên.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 17-18","response":"Ðáp: Lạy Chúa, các bạn hữu Chúa nhận biết vinh quang nước Chúa","verses":["Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Ðể con cái loài người nhận biết quyền năng và vinh quang cao cả nước Chúa. Nước Chúa là nước vĩnh cửu muôn đời; chủ quyền Chúa tồn tại qua muôn thế hệ.","Xướng: Chúa công minh trong mọi đường lối của Người, và yêu thương mọi kỳ công Người tác tạo. Chúa ở gần những kẻ kêu cầu Người, những kẻ kêu cầu Người với lòng thành thật."]},"alleluia":{"verse":"Ga 1, 49b","content":"alleluia! – Lạy Thầy, Thầy là Con Thiên Chúa, là Vua Israel. – Alleluia."},"gospel":{"excerpt":"Ga 1, 45-51","info":"“Ðây thật là người Israel, nơi ông không có gì gian dối “.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Philipphê gặp Nathanael và nói với ông: “Ðấng đã được Môsê ghi trong Luật và các tiên tri nói đến, chúng tôi đã gặp rồi: đó là Giêsu con ông Giuse, người thành Nadarét”. Nathanael đáp: “Bởi Nadarét nào có cái chi hay?” Philipphê nói: “Hãy đến mà xem”.\rChúa Giêsu thấy Nathanael đi tới Mình, thì nói về ông: “Ðây thật là người Israel, nơi ông không có gì gian dối”. Nathanael đáp: “Sao Ngài biết tôi?” Chúa Giêsu trả lời rằng: “Trước khi Philipphê gọi ngươi, lúc ngươi còn ở dưới cây vả, thì Ta đã thấy ngươi”. Nathanael thưa lại rằng: “Lạy Thầy, Thầy là Con Thiên Chúa, là Vua Israel”. Chúa Giêsu trả lời: “Vì Ta đã nói với ngươi rằng: Ta đã thấy ngươi dưới cây vả, nên ngươi tin, ngươi sẽ thấy việc cao trọng hơn thế nữa”. Và Người nói với ông: “Thật, Ta nói thật với các ngươi, các ngươi sẽ thấy trời mở ra, và các Thiên Thần Chúa lên xuống trên Con Người”.","end":"Ðó là lời Chúa"}},
+        "81408": {"firstReading":{"excerpt":"1 V 17, 17-24","info":"“Ðây, con trai bà sống lại rồi đây”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, con trai bà chủ nhà đau liệt, cơn bệnh nguy kịch đến nỗi chẳng còn hơi thở. Bà ấy liền nói với Êlia rằng: “Thưa người của Thiên Chúa, giữa tôi với ông có liên can gì? Ông đến nhà tôi để khơi lại những tội của tôi và giết chết con tôi sao?” Êlia đáp lại: “Bà hãy giao con bà cho tôi”. Rồi ông bế lấy đứa trẻ từ lòng mẹ nó, mang lên trên lầu nơi ông cư trú và đặt nó lên giường ông. Ðoạn ông kêu lên cùng Chúa rằng: “Lạy Chúa là Thiên Chúa của con, cớ sao Chúa giáng hoạ, giết con trai bà chủ nhà, nơi con cư ngụ đây?” Ông ấp mình ba lần trên đứa trẻ và kêu lên cùng Chúa rằng: “Lạy Chúa là Thiên Chúa của con, con xin Chúa cho linh hồn đứa trẻ này trở về trong nó”. Và Chúa nhậm lời Êlia, cho hồn nhập lại đứa trẻ, và nó sống lại. Êlia liền ẵm đứa trẻ xuống nhà dưới, trao lại cho mẹ nó và nói rằng: “Ðây, con trai bà sống lại rồi đây”. Bà ta thưa cùng Êlia rằng: “Bây giờ nhờ việc này, tôi biết rõ ông là người của Thiên Chúa, và lời của Chúa nơi miệng ông là lời chân thật”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b.","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con (c. 2a).","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Ngài đã đưa linh hồn con thoát xa Âm phủ, Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Chúa, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ lâu trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời. Chiều hôm có gặp cảnh lệ rơi, nhưng sáng mai lại được mừng vui hoan hỉ.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con; lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con; lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"secondReading":{"excerpt":"Gl 1, 11-19","info":"“Người đã mạc khải cho tôi biết Con của Người, để tôi rao giảng Người cho dân ngoại”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, tôi cho anh em biết rằng Tin Mừng do tôi rao giảng không phải thuộc về loài người, vì tôi không nhận, cũng không học với loài người, nhưng là do Ðức Giêsu Kitô mạc khải. Anh em nghe nói về đời sống của tôi trước kia khi theo đạo Do-thái: tôi đã bắt bớ và phá hoại Hội thánh của Thiên Chúa thái quá. Trong đạo Do-thái, tôi đã vượt hẳn nhiều bạn đồng giống nòi, đồng tuổi với tôi, và tôi nhiệt thành hơn bất cứ ai đối với truyền thống của cha ông tôi.\rNhưng khi Ðấng tách riêng tôi ra từ lòng mẹ và dùng ơn Người mà kêu gọi tôi, đã thương mạc khải Con Người trong tôi, để tôi rao giảng Ngài trong các dân ngoại, thì không lúc nào tôi bàn hỏi người xác thịt máu huyết, và tôi không lên Giêrusalem, để gặp các vị làm tông đồ trước tôi, nhưng tôi đi ngay đến Arabia, rồi lại trở về Ðamas. Ðoạn ba năm sau, tôi mới lên Giêrusalem để gặp Phêrô, và lưu lại với ông mười lăm ngày. Tôi không gặp một tông đồ nào khác, ngoài Giacôbê, anh em của Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 4b","content":"Alleluia, Alleluia,  Alleluia.-Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 7, 11-17","info":"“Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đến một thành gọi là Naim. Các môn đệ và đám đông dân chúng cùng đi với Người. Khi Người đến gần cửa thành, thì gặp người ta đang khiêng đi chôn người con trai duy nhất của một bà goá kia, và có đám đông dân thành đi đưa xác với mẹ nó. Trông thấy bà, Chúa động lòng thương và bảo bà rằng: “Ðừng khóc nữa”. Ðoạn tiến lại gần, Người chạm đến quan tài và những người khiêng đứng lại. Bấy giờ Người phán: “Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”. Người chết liền ngồi lên và bắt đầu nói. Rồi Người trao lại cho mẹ nó. Mọi người đều sợ hãi và ngợi khen Thiên Chúa rằng: “Một tiên tri cao cả đã xuất hiện giữa chúng ta, và Thiên Chúa đã thăm viếng dân Người”. Và việc này đã loan truyền danh tiếng Người trong toàn cõi Giuđêa và khắp vùng lân cận.","end":"Ðó là lời Chúa"}},
+        "82208": {"firstReading":{"excerpt":"Is 9, 2-4. 6-7","info":"“Chúa ban Con của Người cho chúng ta”.","title":"Trích sách Tiên tri Isaia.","content":"Dân tộc bước đi trong u tối, đã nhìn thấy sự sáng chứa chan. Sự sáng đã bừng lên trên những người cư ngụ miền thâm u sự chết. Chúa đã làm cho dân tộc nên vĩ đại, há chẳng làm vĩ đại niềm vui? Họ sẽ vui mừng trước nhan Chúa, như thiên hạ mừng vui trong mùa gặt lúa, như những người thắng trận hân hoan vì chiến lợi phẩm, khi đem của chiếm được về phân chia. Vì cái ách nặng nề trên người nó, cái gông nằm trên vai nó, cái vương trượng quyền của kẻ áp bức. Chúa sẽ nghiền nát ra, như trong ngày chiến thắng Mađian. {Bởi lẽ mọi chiếc giày đi lộp cộp của kẻ chiến thắng, mọi chiếc áo nhuộm đẫm máu đào, sẽ bị đốt đi và trở nên mồi nuôi lửa.}\rBởi lẽ một hài nhi đã sinh ra cho chúng tôi, và một người con đã được ban tặng chúng tôi. Người đã gánh nhận vương quyền trên vai, và thiên hạ sẽ gọi tên Người là “Cố vấn kỳ diệu, Thiên Chúa huy hoàng, Người Cha Muôn Thuở, Ông Vua Thái Bình”.\rNgười sẽ mở rộng vương quyền, và cảnh thái bình sẽ vô tận; Người sẽ ngự trên ngai vàng của Ðavít và trong vương quốc Người, để củng cố và tăng cường, trong sự công minh chính trực, ngay tự bây giờ và cho đến muôn đời. Lòng ghen yêu của Chúa thiên binh sẽ thực thi điều đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6. 7-8","response":"Ðáp: Nguyện danh Chúa được chúc tụng, từ bây giờ và cho đến muôn đời (c. 2).","verses":["Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa. Nguyện danh Chúa được chúc tụng, từ bây giờ và cho đến muôn đời.","Xướng: Từ mặt trời mọc lên tới khi lặn xuống, nguyện cho danh Chúa được ngợi khen. Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời là vinh quang của Chúa.","Xướng: Ai được như Thiên Chúa chúng tôi, Người ngự trên nơi cao thẳm, và Người để mắt nhìn coi, khắp cả trên trời dưới đất?- Ðáp.","Xướng: Người nâng cao kẻ túng thiếu từ chỗ bụi tro, và cất nhắc bạn cơ bần từ nơi phẩn thổ, hầu cho họ ngồi với những bậc quân vương, với những bậc quân vương của dân Người."]},"alleluia":{"verse":" ","content":"alleluia! – Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Bà, Bà được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh Nữ sẽ thụ thai và sinh hạ một Con trai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, thiên thần Gabriel được Chúa sai đến một thành xứ Galilêa, tên là Nadarét, đến với một Trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ðavít, Trinh nữ ấy tên là Maria. Thiên thần vào nhà Trinh nữ và chào rằng:\r“Kính chào Bà đầy ơn phúc, Thiên Chúa ở cùng Bà, Bà được chúc phúc giữa các người phụ nữ”. Nghe lời đó, Bà bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Maria đừng sợ, vì đã được nghĩa với Chúa. Này Bà sẽ thụ thai, sinh một Con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Giacóp, và triều đại Người sẽ vô tận”. Nhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với Bà và uy quyền Ðấng Tối Cao sẽ bao trùm Bà. Vì thế, Ðấng Bà sinh ra sẽ là Ðấng Thánh, và đưọc gọi là Con Thiên Chúa. Và này, Isave chị họ Bà cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMaria liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời thiên thần truyền”. Và thiên thần cáo biệt Bà. \r Đó là Lời Chúa. \r.  rHoặc: Lc 1, 39-47\r“Phúc cho Bà là kẻ đã tin”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Luca.\rNgày ấy, Maria chỗi dậy, vội vả ra đi tiến lên miền núi, đến một thành xứ Giuđêa. Bà vào nhà ông Giacaria và chào bà Êlisabeth. Và khi bà Êlisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Êlisabeth được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng: “Bà được chúc phúc giữa các người phụ nữ và con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm tôi? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rBà Maria nói rằng: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi”.","end":"Ðó là lời Chúa"}},
+        "82908": {"firstReading":{"excerpt":"Gr 1, 17-19","info":"“Ngươi hãy nói cho họ biết tất cả những điều Ta truyền dạy cho ngươi: Ðừng run sợ trước mặt họ”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Trong những ngày ấy, lời Chúa phán cùng tôi rằng: “Ngươi hãy thắt lưng, hãy chỗi dậy, và nói cho họ biết tất cả những điều Ta truyền dạy cho ngươi. Ðừng run sợ trước mặt họ, vì Ta không làm cho ngươi kinh hãi trước mặt họ. Hôm nay Ta làm cho ngươi nên một thành trì vững chắc, một cây cột bằng sắt, một vách thành bằng đồng trước mặt các vua Giuđa, các hoàng tử, các tư tế và dân chúng xứ này. Họ sẽ chiến đấu chống ngươi, nhưng họ không thắng được ngươi, vì Ta ở với ngươi để giải thoát ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","response":"Ðáp: Miệng con sẽ loan truyền sự Chúa công minh","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con tủi hổ muôn đời; theo đức công minh Chúa, xin cứu nguy và giải thoát con, xin ghé tai về bên con và giải cứu.","Xướng: Xin trở nên thạch động để con dung thân, và chiến luỹ vững bền hầu cứu độ con: vì Chúa là Ðá Tảng, là chiến luỹ của con. Lạy Chúa con, xin cứu con khỏi tay đứa ác.","Xướng: Bởi Ngài là Ðấng con mong đợi, thân lạy Chúa! Lạy Chúa, Ngài là hy vọng của con từ hồi thanh xuân. Ngay từ trong bụng mẹ, con đã nép mình vào Chúa; từ trong thai mẫu, Chúa là Ðấng bảo vệ con; con đã luôn luôn cậy trông vào Chúa.","Xướng: Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày kể ra ơn Ngài giúp đỡ. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể (ra) những sự lạ của Ngài."]},"alleluia":{"verse":"Mt 5, 10","content":"alleluia! – Phúc cho những ai bị bách hại vì lẽ công chính, vì nước trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mc 6, 17-29","info":"“Con muốn đức vua ban ngay cho con cái đầu của Gioan Tẩy Giả đặt trên đĩa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Hêrôđê đã sai đi bắt Gioan và giam ông trong ngục: nguyên do tại Hêrôđia, vợ của Philipphê anh vua mà vua đã cưới lấy. Vì Gioan bảo Hêrôđê: “Nhà vua không được phép chiếm lấy vợ anh mình”. Phần Hêrôđia, nàng toan mưu và muốn giết ông, nhưng không thể làm gì được, vì Hêrôđê kính nể Gioan, biết ông là người chính trực và thánh thiện, và giữ ông lại. Nghe ông nói, vua rất phân vân, nhưng lại vui lòng nghe.\rDịp thuận tiện xảy đến vào ngày sinh nhật Hêrôđê, khi vua thết tiệc các quan đại thần trong triều, các sĩ quan và những người vị vọng xứ Galilêa. Khi con gái nàng Hêrôđia tiến vào nhảy múa, làm đẹp lòng Hêrôđê và các quan khách, thì vua liền nói với thiếu nữ ấy rằng: “Con muốn gì, cứ xin, trẫm sẽ cho”, và vua thề rằng: “Con xin bất cứ điều gì, dù là nửa nước, trẫm cũng cho”. Cô ra hỏi mẹ: “Con nên xin gì?” Mẹ cô đáp: “Xin đầu Gio-an Tẩy Giả”. Cô liền vội vàng trở vào xin vua: “Con muốn đức vua ban ngay cho con cái đầu Gioan Tẩy Giả đặt trên đĩa”. Vua buồn lắm, nhưng vì lời thề và vì có các quan khách, nên không muốn làm cho thiếu nữ đó buồn. Và lập tức, vua sai một thị vệ đi lấy đầu Gioan và đặt trên đĩa. Viên thị vệ liền đi vào ngục chặt đầu Gioan, và đặt trên đĩa trao cho thiếu nữ, và thiếu nữ đem cho mẹ.\rNghe tin ấy, các môn đệ Gioan đến lấy xác ông và mai táng trong mồ.","end":"Ðó là lời Chúa"}},
+        "70808AU": {"firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","info":"“Ta sẽ đính hôn với ngươi đến muôn đời”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng","verses":["Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."},"gospel":{"excerpt":"Mt 25, 1-13","info":"“Kìa chàng rể đến, hãy ra đón người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.","end":"Ðó là lời Chúa"}}
+    }
+});
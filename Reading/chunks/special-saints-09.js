@@ -0,0 +1,12 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-09", {
+    "SPECIAL": {
+        "70109": {"firstReading":{"excerpt":"Kn 13, 1-9","info":"“Vì nếu họ đã đủ khả năng để hiểu biết đến mức có thể suy đoán về sự thường tồn vạn vật, thì tại sao họ lại không nhận ra Chủ Tể vạn vật sớm hơn?”","title":"Trích sách Khôn Ngoan.","content":" Tự bản chất, hết thảy những ai không nhận biết Thiên Chúa thì đều thật hão huyền; họ đã không đủ khả năng để nhận biết Đấng Hiện Hữu qua những điều tốt đẹp có thể nhìn thấy, và dù có để tâm đến các công trình cũng chẳng nhận biết Đấng Tạo Thành. \n Thay vào đó, họ lại coi lửa, gió, luồng khí lướt nhanh, vòng vận hành của các tinh tú, dòng nước dữ dội, hoặc các vầng sáng trên trời là những vị thần, các thủ lãnh của vũ trụ.  Nếu vì say mê vẻ đẹp của những thứ ấy, những thứ mà họ từng cho là thần minh, thì họ phải nhận biết rằng Chủ Tể của những thứ ấy còn tốt đẹp hơn biết bao. Vì chính Đấng khai sinh ra vẻ đẹp đã tạo dựng chúng. \n Còn nếu họ kinh ngạc trước sức mạnh và hoạt động của các thụ tạo, thì hãy để họ suy nghĩ từ đó mà nhận biết: Đấng đã tác thành chúng còn mạnh mẽ hơn biết mấy!  Vì từ sự lớn lao và vẻ đẹp của các thụ tạo, một cách tương xứng, người ta có thể chiêm ngắm Đấng sinh thành chúng. \n  Tuy nhiên, liên quan đến những điều ấy, họ không đáng bị trách móc nặng nề, vì chính họ có thể đã lầm lạc trong khi tìm kiếm Thiên Chúa và khát khao được gặp Ngài. \n Vì sống giữa các công trình của Ngài, họ tìm kiếm và bị thuyết phục bởi những vẻ bề ngoài mắt thấy, vì những điều được nhìn thấy quả thật là tốt đẹp. 8 Tuy nhiên, một lần nữa, ngay cả họ cũng không thể được biện minh. 9 Vì nếu họ đã đủ khả năng để hiểu biết đến mức có thể suy đoán về sự thường tồn vạn vật, thì tại sao họ lại không nhận ra Chủ Tể vạn vật sớm hơn?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5 (Hoặc Thánh vịnh 104 (103))","response":"Ðáp: Trời xanh tường thuật vinh quang Thiên Chúa","verses":["Xướng: Các tầng trời tường thuật vinh quang Thiên Chúa, vòm cao xanh loan báo công việc tay Ngài. Ngày lại ngày, lời rao truyền tuôn đổ; đêm nối đêm, nguồn tri thức tỏ bày. ","Xướng: Chẳng nói lời nào, chẳng ngôn từ vang vọng, không hề nghe tiếng chúng phát ra, mà âm hưởng vẫn loan xa toàn cõi đất, và lời chúng vươn tận góc địa cầu. "]},"secondReading":{"excerpt":"Cl 1,15-20","info":"“Tất cả đều nhờ Ngài và cho Ngài mà được tạo thành.”","title":"Bài trích thư thánh Phaolô tông đồ gửi tín hữu Côlôsê.","content":"Anh chị em thân mến, Đức Kitô là hình ảnh của Thiên Chúa vô hình, là Con đầu lòng giữa mọi loài thụ tạo. Vì trong Ngài, mọi vật được tạo thành, trên trời và dưới đất, hữu hình với vô hình, dù là các ngai tòa hay quyền lực, các thủ lãnh hay những thế lực, tất cả đều nhờ Ngài và cho Ngài mà được tạo thành. \nNgài có trước muôn vật, và tất cả đều đứng vững trong Ngài. Ngài là đầu của thân thể, tức là Hội thánh. Ngài là khởi đầu, là Con đầu lòng từ cõi chết, để Ngài đứng đầu vạn vật. \n Vì điều đẹp lòng Thiên Chúa là mọi sự viên mãn được ở trong Ngài, và nhờ máu Ngài nơi thập giá, Thiên Chúa đã đem lại bình an, cho muôn loài muôn vật dưới đất cũng như trên trời, để hòa giải tất cả với Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Tv 104, 24","content":"alleluia! – Kỳ công Ngài, lạy Chúa, nhiều khôn xiết kể! Ngài tác thành mọi sự trong khôn ngoan. Alleluia. \n Hoặc : Alleluia!alleluia! - Vì mọi sự trên trời dưới đất đều thuộc về Ngài, lạy CHÚA, và vương quốc cũng thuộc về Ngài: Ngài trỗi vượt tất cả, làm đầu muôn loài. Trong tay Ngài là quyền năng và uy lực; Ngài dùng tay Ngài mà làm cho tất cả trở nên lớn mạnh và kiên cường. – Alleluia. "},"gospel":{"excerpt":"Mt 6, 24-34 hoặc Mt 8,23-27","info":"“Vậy đừng lo lắng cho ngày mai.”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu nói với các môn đệ: Không ai có thể làm tôi hai chủ, vì hoặc sẽ ghét chủ này và yêu chủ kia, hoặc trọng chủ này và khinh chủ nọ. Các con không thể vừa làm tôi Thiên Chúa, vừa làm tôi tiền của. \n Vì thế, Thầy bảo các con, đừng lo lắng cho sự sống mình: Các con sẽ ăn gì hay uống gì; cũng đừng lo cho thân thể mình: Các con sẽ mặc gì. Nào sự sống không hơn của ăn, và thân thể không hơn áo mặc sao? “Các con hãy xem chim trời: Chúng không gieo, không gặt, không thu tích vào kho, nhưng Cha các con trên trời vẫn nuôi chúng. Nào các con chẳng quý giá hơn chúng sao?  Có ai trong các con nhờ lo lắng mà có thể kéo dài đời mình thêm một gang tấc không? \n Còn về áo mặc, các con lo lắng làm gì? Hãy nhìn xem hoa huệ ngoài đồng lớn lên thế nào: Chúng không vất vả làm lụng, cũng không kéo sợi dệt vải, nhưng Thầy nói cho các con biết, ngay cả Salômon với tất cả vinh hoa của ông, cũng không mặc được như một trong những bông hoa đó.  Vậy nếu hoa cỏ ngoài đồng nay còn, mai bị ném vào lò, mà Thiên Chúa còn mặc cho như thế, thì Ngài lại không làm cho các con nhiều hơn thế sao, này những kẻ kém tin? \n Vậy các con đừng lo lắng mà nói: ‘Chúng ta sẽ ăn gì?’, ‘Chúng ta sẽ uống gì?’ hay ‘Chúng ta sẽ mặc gì?’ Vì tất cả những thứ đó, dân ngoại vẫn kiếm tìm, và vì Cha các con trên trời biết các con cần tất cả những thứ đó.  Nhưng trước hết, hãy tìm kiếm Nước Thiên Chúa và sự công chính của Ngài, còn tất cả những thứ kia, các con sẽ được ban thêm. Vậy đừng lo lắng cho ngày mai, vì ngày mai sẽ lo cho chính ngày mai. Ngày nào có sự khốn khổ đủ cho ngày ấy.” \n Ðó là lời Chúa \n \n Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu. \n Khi Đức Giêsu lên thuyền, các môn đệ theo Ngài. Và này, một cơn bão dữ dội xảy ra trên biển, đến nỗi thuyền bị sóng phủ lên, còn Ngài thì vẫn ngủ. Họ lại gần đánh thức Ngài và nói: “Thưa Ngài, xin cứu chúng con, chúng con chết mất!” Ngài nói với họ: “Sao các con sợ hãi thế, này những kẻ kém tin?” Bấy giờ, Ngài trỗi dậy, ngăm đe gió và biển, thế là chúng tĩnh lặng hoàn toàn. Những người đó kinh ngạc và nói: “Người này là người thế nào mà cả gió và biển đều tuân lệnh vậy?” ","end":"Ðó là lời Chúa"}},
+        "70809": {"firstReading":{"excerpt":"Mk 5, 2-5a","info":"“Ðến khi người nữ phải sinh, sẽ sinh con”.","title":"Trích sách Tiên tri Mikha.","content":"Ðây lời Chúa phán: “Hỡi Bêlem Ephrata, ngươi nhỏ nhất trong trăm ngàn phần đất Giuđa, nhưng nơi ngươi sẽ xuất hiện một Ðấng thống trị Israel, và nguồn gốc Người có từ nguyên thuỷ, từ muôn đời. Vì thế, Người sẽ bỏ dân Người, cho đến khi một người nữ phải sinh, sẽ sinh con. Số còn lại trong anh em Người sẽ trở về với con cái Israel. Người sẽ đứng vững và chăn dắt trong sức mạnh của Chúa, trong thánh danh cao cả của Chúa là Thiên Chúa của Người. Và họ sẽ trở về, vì bấy giờ Người sẽ nên cao trọng cho đến tận cùng trái đất. Vì vậy, Người sẽ là chính sự bình an”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 12, 6ab. 6cd","response":"Ðáp: Con sẽ hớn hở vui mừng trong Chúa","verses":["Xướng: Xin chớ để kẻ thù con hân hoan vì con quỵ ngã: bởi con đã tin cậy vào đức từ bi của Chúa.","Xướng: Xin cho lòng con hân hoan vì ơn Ngài cứu độ; con sẽ hát mừng Chúa, vì Ngài ban ân huệ cho con."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Ðức Trinh Nữ Maria, Mẹ là người có phúc và rất đáng mọi lời ca tụng, vì Mẹ đã sinh ra Mặt trời Công Chính là Ðức Kitô, Chúa chúng con. – Alleluia."},"gospel":{"excerpt":"Mt 1, 1-16. 18-23","info":"“Bà đã thụ thai bởi phép Ðức Chúa Thánh Thần”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Sách gia phả của Chúa Giêsu Kitô, con vua Ðavít, con của Abraham.\rAbraham sinh Isaac; Isaac sinh Giacóp; Giacóp sinh Giuđa và các anh em người. Giuđa sinh Phares và Zara; Phares sinh Esrom; Esrom sinh Aram; Aram sinh Aminadab; Aminadab sinh Naasson; Naasson sinh Salmon; Salmon sinh Booz do bà Rahab; Booz sinh Giobed do bà Rút. Giobed sinh Giêsê; Giêsê sinh vua Ðavít.\rÐavít sinh Salomon do bà vợ của Uria; Salomon sinh Robo-am; Roboam sinh Abia; Abia sinh Asa; Asa sinh Giosaphát; Giosaphát sinh Gioram; Gioram sinh Ozia; Ozia sinh Gioatham; Gioatham sinh Achaz; Achaz sinh Ezekia; Ezekia sinh Manas-se; Manasse sinh Amos; Amos sinh Giosia; Giosia sinh Giêconia và các em trong thời lưu đày ở Babylon.\rSau thời lưu đày ở Babylon, Giêconia sinh Salathiel; Sala-thiel sinh Zorababel; Zorababel sinh Abiud; Abiud sinh Eliakim; Eliakim sinh Azor; Azor sinh Sađoc; Sađoc sinh Akim; Akim sinh Eliud; Eliud sinh Eleazar; Eleazar sinh Mathan; Mathan sinh Giacóp; Giacóp sinh Giuse, là bạn của Maria, mẹ của Chúa Giêsu gọi là Ðức Kitô.\rChúa Kitô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, đã thụ thai bởi phép Chúa Thánh Thần. Giuse, chồng Bà, là người công chính, không muốn tố giác Bà, nên mới định tâm lìa bỏ Bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì thiên thần hiện đến cùng ông trong giấc mơ và bảo: “Hỡi Giuse con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình, vì Maria mang thai là bởi phép Chúa Thánh Thần; Bà sẽ sinh hạ một Con trai mà ông đặt tên là Giêsu, vì chính Người sẽ cứu dân Mình khỏi tội”. Tất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng:\r“Này đây một trinh nữ sẽ thụ thai, sinh hạ một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên Chúa-ở-cùng-chúng-ta”.\rHoặc bài vắn này: Mt 1, 18-23\rTin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\rChúa Kitô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, đã thụ thai bởi phép Chúa Thánh Thần. Giuse, chồng Bà, là người công chính, không muốn tố giác Bà, nên mới định tâm lìa bỏ Bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì thiên thần hiện đến cùng ông trong giấc mơ và bảo: “Hỡi Giuse con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình, vì Maria mang thai là bởi phép Chúa Thánh Thần; Bà sẽ sinh hạ một Con trai mà ông đặt tên là Giêsu, vì chính Người sẽ cứu dân Mình khỏi tội”. Tất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng:\r“Này đây một trinh nữ sẽ thụ thai, sinh hạ một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên Chúa-ở-cùng-chúng-ta”.","end":"Ðó là lời Chúa"}},
+        "71409": {"firstReading":{"excerpt":"Ds 21, 4-9","info":"“Kẻ nào bị rắn cắn mà nhìn lên con rắn đồng, thì được sống”.","title":"Trích sách Dân số.","content":"Trong những ngày ấy, dân chúng đi đường và mệt nhọc, nên nản chí, họ kêu trách Chúa và Môsê rằng: “Tại sao các người dẫn chúng tôi ra khỏi Ai-cập, cho chúng tôi chết trong hoang địa. Không bánh ăn, không nước uống, chúng tôi đã ngán thức ăn nhàm chán này”. Bởi đó Chúa cho rắn lửa bò ra cắn chết nhiều người. Họ chạy đến cùng Môsê và thưa rằng: “Chúng tôi đã phạm tội, vì chúng tôi nói những lời phản nghịch Chúa và phản nghịch ông. Xin ông cầu nguyện để Chúa cho chúng tôi khỏi rắn cắn”.\rMôsê cầu nguyện cho dân. Và Chúa phán cùng Môsê rằng: “Ngươi hãy đúc một con rắn đồng và treo nó lên làm dấu; kẻ nào bị rắn cắn mà nhìn lên rắn đồng, thì được sống”. Môsê đúc một con rắn đồng, treo nó lên làm dấu, và kẻ nào bị rắn cắn mà nhìn lên rắn đồng, thì được chữa lành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 77, 1-2. 34-35. 36-37. 38","response":"Ðáp: Chúng ta đừng quên lãng những kỳ công của Chúa","verses":["Xướng: Hỡi dân tôi, hãy nghe lời huấn dụ, hãy lắng tai nhận lấy những lời miệng tôi. Tôi sẽ xuất khẩu nói ra lời ngạn ngữ, sẽ trình bày những điều bí nhiệm của thời xưa.","Xướng: Khi Người sát phạt họ, bấy giờ họ kiếm tìm Người, và họ trở lại kiếm tìm Thiên Chúa. Họ nhớ lại rằng Thiên Chúa là Ðá Tảng của họ, và Thiên Chúa Tối Cao là Ðấng cứu chuộc họ.","Xướng: Nhưng rồi miệng họ đã phỉnh phờ, và lưỡi họ ăn nói sai ngoa với Người. Ðối với Người, lòng họ không ngay thẳng; họ cũng không trung thành giữ lời minh ước của Người.","Xướng: Phần Người từ bi, tha lỗi và không huỷ diệt họ; nhiều khi Người đã tự kiềm chế căm hờn, và không để cho thịnh nộ hoàn toàn tuôn đổ."]},"secondReading":{"excerpt":"Pl 2, 6-11","info":"“Người đã tự hạ mình; vì thế Thiên Chúa đã tôn vinh Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Anh em thân mến, Chúa Giêsu Kitô, tuy là [thân phận] Thiên Chúa, đã không nghĩ phải giành cho được ngang hàng với Thiên Chúa; trái lại, Người huỷ bỏ chính mình mà nhận lấy thân phận tôi đòi, đã trở nên giống như loài người, với cách thức bề ngoài như một người phàm. Người đã tự hạ mình mà vâng lời cho đến chết, và chết trên thập giá. Vì thế, Thiên Chúa đã tôn vinh Người, và ban cho Người một danh hiệu vượt trên mọi danh hiệu, để khi nghe tên Giêsu, mọi loài trên trời dưới đất và trong địa ngục phải quỳ gối xuống, và mọi miệng lưỡi phải tuyên xưng Ðức Giêsu Kitô là Chúa, để Thiên Chúa Cha được vinh quang.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa Kitô, chúng con thờ lạy Chúa; chúng con chúc tụng Chúa, vì Chúa đã dùng cây Thập giá mà cứu chuộc thế gian. – Alleluia."},"gospel":{"excerpt":"Ga 3, 13-17","info":"“Con Người phải bị treo lên”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng Nicôđêmô rằng: “Không ai lên trời được, ngoài người đã từ trời xuống, tức là Con Người vốn ở trên trời. Cũng như Môsê treo con rắn nơi hoang địa thế nào, thì Con Người cũng phải bị treo lên như vậy, để những ai tin vào Người, thì không bị tiêu diệt muôn đời.\r“Quả thật, Thiên Chúa đã yêu thế gian đến nỗi đã ban Con Một Người, để tất cả những ai tin vào Con của Người, thì không phải hư mất, nhưng được sống đời đời, vì Thiên Chúa không sai Con của Người giáng trần để luận phạt thế gian, nhưng để thế gian nhờ Con của Người mà được cứu độ”.","end":"Ðó là lời Chúa"}},
+        "72109": {"firstReading":{"excerpt":"Ep 4, 1-7. 11-13","info":"“Chu toàn chức vụ, xây dựng thân thể Chúa Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, tôi là tù nhân trong Chúa, tôi khuyên anh em hãy ăn ở xứng đáng với ơn kêu gọi anh em đã lãnh nhận. Anh em hãy hết lòng khiêm nhượng, hiền hậu, nhẫn nại, chịu đựng nhau trong đức ái; hãy lo bảo vệ sự hợp nhất tinh thần, lấy bình an hoà thuận làm dây ràng buộc: Chỉ có một thân thể và một tinh thần, cũng như anh em đã được kêu gọi đến cùng một niềm hy vọng. Chỉ có một Chúa, một đức tin, một phép rửa. Chỉ có một Thiên Chúa là Cha hết mọi người, Ðấng vượt trên hết mọi người, hoạt động nơi mọi người, và ở trong mọi người.\rNhưng mỗi người trong chúng ta đã được ban ơn tuỳ theo lượng Ðức Kitô ban cho. Và chính Người đã ban cho kẻ làm Tông đồ, người làm Tiên tri, còn kẻ khác thì rao giảng Tin Mừng, kẻ khác nữa làm chủ chăn và thầy dạy, để tổ chức các thánh nhân nên hoàn bị hầu chu toàn chức vụ, xây dựng thân thể Ðức Kitô, cho đến khi mọi người chúng ta hợp nhất trong đức tin và trong sự nhận biết Con Thiên Chúa, trở nên người trưởng thành, đạt đến tầm vóc của Ðức Kitô viên mãn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Ðáp: Tiếng chúng đã vang cùng trái đất","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa, thanh không kể ra sự nghiệp của Người. Ngày này nhắc nhủ cho ngày khác, đêm này truyền tụng cho đêm kia.","Xướng: Ðây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu."]},"alleluia":{"verse":" ","content":"alleluia! – Chúng con ca ngợi Chúa là Thiên Chúa; chúng con tuyên xưng Chúa là chúa tể. Lạy Chúa, ca đoàn vinh quang các Tông đồ ca ngợi Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 9, 9-13","info":"“Hãy theo Ta”. – Và ông ấy đứng dậy đi theo Người.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đi ngang qua, thấy một người ngồi ở bàn thu thuế, tên là Matthêu. Người phán bảo ông: “Hãy theo Ta”. Ông ấy đứng dậy đi theo Người. Và xảy ra khi Người ngồi dùng bữa trong nhà, thì có nhiều người thu thuế và tội lỗi đến ngồi đồng bàn cùng Chúa Giêsu và các môn đệ của Người. Những người biệt phái thấy vậy, liền nói với các môn đệ Người rằng: “Tại sao Thầy các ông lại ăn uống với những người thu thuế và tội lỗi như vậy?” Nghe vậy, Chúa Giêsu bảo rằng: “Người lành mạnh không cần đến thầy thuốc, nhưng là người đau yếu! Các ông hãy đi học xem lời này có ý nghĩa gì: Ta muốn lòng nhân từ, chớ không phải hy lễ. Vì Ta không đến để kêu gọi người công chính, nhưng kêu gọi người tội lỗi”.","end":"Ðó là lời Chúa"}},
+        "72909": {"firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","info":"“Muôn muôn vàn kẻ chầu chực Người”.","title":"Trích sách Tiên tri Ðaniel.","content":"Tôi chăm chú nhìn mãi cho đến khi đặt xong các toà, và vị Bô Lão lên ngự trên toà; áo Người trắng như tuyết, tóc trên đầu Người tinh tuyền như lông chiên, toà của Người như ngọn lửa, các bánh xe như lửa cháy. Trước mặt Người có con sông lửa cuồn cuộn chảy như thác. Có hằng ngàn kẻ phụng sự Người và muôn muôn vàn kẻ chầu chực Người: Người ngự toà xét xử và các quyển sách đã được mở ra.\rTrong một thị kiến ban đêm, tôi đã ngắm nhìn, và đây tôi nhìn thấy như Con Người đến trong đám mây trên trời, Ngài tiến đến vị Bô Lão, và người ta dẫn Ngài đến trước mặt vị Bô Lão. Vị này ban cho Ngài quyền năng, vinh dự và vương quốc. Tất cả các dân tộc, chi họ, và tiếng nói đều phụng sự Ngài: Quyền năng của Ngài là quyền năng vĩnh cửu, không khi nào bị cất mất; vương quốc của Ngài không khi nào bị phá huỷ.\rHoặc đọc: Kh 12, 7-12 “Michael và các thiên thần của ngài giao chiến với con Rồng”.\rTrích sách Khải Huyền của Thánh Gioan Tông đồ.\rÐã xảy ra có đại chiến trên trời: Michael và các thiên thần của Ngài giao chiến với con Rồng. Con Rồng và các thiên thần phe nó nghinh chiến. Nhưng nó không có sức cự lại; chỗ của chúng không còn gặp thấy trên trời. Và nó bị xô nhào xuống, con Rồng lớn, con Rắn thái sơ, gọi là quỷ hay Satan, kẻ mê hoặc toàn thể thiên hạ. Nó đã bị xô nhào xuống đất, và các thiên thần phe nó cũng bị xô nhào xuống làm một với nó.\rVà tôi đã nghe có tiếng lớn trên trời rằng: “Nay đã thành sự: toàn thắng, quyền năng, vương quyền của Thiên Chúa chúng ta, và quyền bính của Ðức Kitô của Người, vì nó đã bị xô nhào xuống, kẻ cáo tội anh em ta, kẻ tố cáo họ ngày đêm trước nhan Thiên Chúa. Và họ đã thắng được nó nhờ máu Chiên Con, và nhờ lời đoan chứng của họ, họ đã không ham sống sợ chết. Vì lẽ ấy, hãy hân hoan, hỡi các tầng trời, và các người ở nơi ấy!”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 4-5","response":"Ðáp: Lạy Chúa, trước mặt các thiên thần, con đàn ca mừng Chúa","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, vì Chúa đã nghe lời miệng con xin; trước mặt các thiên thần, con đàn ca mừng Chúa, con sấp mình thờ lạy bên thánh điện Ngài.","Xướng: Và con sẽ ca tụng uy danh Chúa, vì lòng nhân hậu và trung thành của Chúa. Khi con kêu cầu, Chúa nhậm lời con; Chúa đã ban cho tâm hồn con nhiều sức mạnh.","Xướng: Lạy Chúa, các vua địa cầu sẽ ca ngợi Chúa, khi họ nghe những lời miệng Chúa phán ra; và họ sẽ ca ngợi đường lối Chúa: “Thực vinh quang của Chúa lớn lao!”"]},"alleluia":{"verse":"Tv 102, 21","content":"alleluia! – Hãy chúc tụng Chúa đi, chư binh toàn thể, chư vị thần hạ thừa hành ý muốn của Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 1, 47-51","info":"“Các ngươi sẽ thấy các thiên thần Chúa lên xuống trên Con Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu thấy Nathanael đi tới Mình, thì nói về ông rằng: “Ðây thật là người Israel, nơi ông không có gì gian dối”. Nathanaen đáp: “Sao Ngài biết tôi?” Chúa Giêsu trả lời rằng: “Trước khi Philipphê gọi ngươi, lúc ngươi còn ở dưới cây vả, thì Ta đã thấy ngươi”. Nathanael thưa lại rằng: “Lạy Thầy, Thầy là Con Thiên Chúa, là Vua Israel”. Chúa Giêsu trả lời: “Vì Ta đã nói với ngươi rằng: Ta đã thấy ngươi dưới cây vả, nên ngươi tin. Ngươi sẽ thấy việc cao trọng hơn thế nữa”. Và Người nói với ông: “Thật, Ta nói thật với các ngươi, các ngươi sẽ thấy trời mở ra, và các thiên thần Chúa lên xuống trên Con Người”.","end":"Ðó là lời Chúa"}},
+        "80209": {"firstReading":{"excerpt":"Xh 23, 20-23a","info":"“Thiên thần của Ta đi trước mặt ngươi”.","title":"Trích sách Xuất Hành.","content":"Ðây Chúa phán: “Này Ta sẽ sai thiên thần Ta đi trước mặt ngươi, gìn giữ ngươi khi đi đàng, và dẫn đưa ngươi đến nơi Ta đã dọn sẵn cho ngươi. Ngươi hãy ăn ở cẩn thận trước mặt người, hãy nghe lời người, và chớ cả lòng khi dể người: vì người sẽ không tha thứ cho ngươi khi ngươi phạm lỗi, bởi người mang lấy danh Ta trong người. Nếu ngươi nghe lời người, và tuân giữ tất cả những gì Ta truyền dạy, thì Ta sẽ là địch thù của những kẻ thù nghịch ngươi, và Ta sẽ trừng phạt những kẻ uy hiếp ngươi. Thiên thần Ta sẽ đi trước mặt ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","response":"Ðáp: Chúa đã lệnh cho các thiên thần săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường","verses":["Xướng: Bạn sống trong sự che chở của Ðấng Tối Cao; bạn cư ngụ dưới bóng của Ðấng Toàn Năng. Hãy thưa cùng Chúa: “Chúa là chiến luỹ nơi con nương náu; lạy Chúa con, con tin cậy ở Ngài”.","Xướng: Vì Chính Người sẽ cứu bạn thoát lưới dò của kẻ bẫy chim, và thoát khỏi quan ôn tác hại. Người sẽ che chở bạn trong bóng cánh của Người, và dưới cánh Người, bạn sẽ nương thân: lòng trung tín của Người là mã giáp và khiên thuẫn.","Xướng: Bạn không còn sợ hãi cảnh kinh dị ban đêm, cũng không còn e ngại mũi tên ban ngày bay tới; không còn sợ quan ôn trong bóng tối lang thang, cũng không còn lo dịch tễ vào buổi trưa sát hại.","Xướng: Tai nạn không đến gần được bạn, và oan ương không bén bảng tới nhà bạn ở. Vì Chúa đã lệnh cho thiên thần Người săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường."]},"alleluia":{"verse":"Tv 102, 21","content":"alleluia! – Hãy chúc tụng Chúa đi, chư binh toàn thể, chư vị thần hạ thừa hành ý muốn của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-5. 10","info":"“Các thiên thần của họ trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến bên Chúa Giêsu mà hỏi rằng: “Thưa Thầy, ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời. Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},
+        "81509": {"firstReading":{"excerpt":"Dt 5, 7-9","info":"“Người đã học vâng phục và đã trở nên căn nguyên ơn cứu độ đời đời”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, khi còn sống ở đời này, Chúa Kitô đã lớn tiếng và rơi lệ dâng lời cầu xin khẩn nguyện lên Ðấng có thể cứu mình khỏi chết, và vì lòng thành tín, Người đã được nhậm lời. Dầu là Con Thiên Chúa, Người đã học vâng phục do những đau khổ Người chịu, và khi hoàn tất, Người đã trở nên căn nguyên ơn cứu độ đời đời cho tất cả những kẻ tùng phục Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 2-3a. 3bc-4. 5-6. 15-18. 19","response":"Ðáp: Lạy Chúa, xin cứu sống con theo lượng từ bi của Chúa","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con muôn đời tủi hổ; vì đức công minh Ngài, xin cứu chữa con! Xin Chúa hãy lắng tai về bên tôi tớ Chúa.","Xướng: Xin Chúa mau lẹ để giải thoát con. Xin Chúa trở thành núi đá cho con trú ẩn. Bởi Chúa là Ðá tảng, là chiến luỹ của con; vì uy danh Ngài, Ngài sẽ dìu dắt và hướng dẫn con.","Xướng: Ngài dẫn con xa lưới dò chúng ngầm trương ra để hại con, vì Ngài là chỗ con nương náu. Con phó thác tâm hồn trong tay Chúa; lạy Chúa, lạy Thiên Chúa trung thành, xin cứu chữa con.","Xướng: Phần con, lạy Chúa, con tin cậy ở Ngài; con kêu lên: Ngài là Thiên Chúa của con! Vận mạng con ở trong tay Ngài, xin cứu gỡ con khỏi tay quân thù và những người bách hại.","Xướng: Lạy Chúa, vĩ đại thay lòng nhân hậu Chúa, lòng nhân hậu Ngài dành để cho những kẻ kính sợ Ngài, lòng nhân hậu Ngài ban cho những ai tìm nương tựa Ngài, ngay trước mặt con cái người ta."]},"alleluia":{"verse":" ","content":"alleluia! – Ðức Trinh Nữ Maria là người có phúc, Bà xứng đáng lãnh nhận ngành lá tử đạo dưới chân Thập giá Chúa mà không phải chết. – Alleluia."},"gospel":{"excerpt":"Ga 19, 25-27 (Lc 2, 33-35)","info":"“Bà mẹ hiền nhìn xem nỗi khổ hình của người con chí thánh mà đau lòng thổn thức tâm can”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, đứng gần thập giá Chúa Giêsu có Mẹ Người, cùng với chị Mẹ Người là Maria vợ ông Clopas, và Maria Mađalêna. Khi thấy Mẹ và bên cạnh có môn đệ Người yêu, Chúa Giêsu thưa cùng Mẹ rằng: “Thưa Bà, này là Con Bà”. Rồi Người lại nói với môn đệ: “Này là Mẹ con”. Và từ giờ ấy, môn đệ đã lãnh nhận Bà về nhà mình.\r Đó là Lời Chúa. \rHoặc đọc: Lc 2, 33-35\r“Một lưỡi gươm sẽ đâm thấu tâm hồn Bà”.\rTin Mừng Chúa Giêsu Kitô theo thánh Luca.\rKhi ấy, cha và mẹ Chúa Giêsu đều kinh ngạc về những điều đã nói về Người. Simêon chúc lành cho hai ông bà, và nói với Maria Mẹ Người rằng: “Ðây trẻ này được đặt lên, khiến cho nhiều người trong Israel phải sụp đổ hay được đứng dậy, và cũng để làm mục tiêu cho người ta chống đối. Về phần Bà, một lưỡi gươm sẽ đâm thấu tâm hồn Bà, để tâm tư nhiều tâm hồn được biểu lộ”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-10", {
+    "SPECIAL": {
+        "70110": {"firstReading":{"excerpt":"Is 66, 10-14c","info":"“Ðây Ta khiến sông bình an chảy vào nó”.","title":"Trích sách Tiên tri Isaia.","content":"Các ngươi hãy vui mừng với Giêrusalem và hết thảy những ai yêu quý nó, hãy nhảy mừng vì nó. Hỡi các ngươi là những kẻ than khóc nó, hãy hân hoan vui mừng với nó, để các ngươi bú sữa no nê nơi vú an ủi của nó, để các ngươi sung sướng bú đầy sữa vinh quang của nó. Vì chưng Chúa phán thế này: “Ta sẽ làm cho sự bình an chảy đến nó như con sông và vinh quang chư dân tràn tới như thác lũ, các ngươi sẽ được bú sữa, được ẵm vào lòng và được nâng niu trên đầu gối. Ta sẽ vỗ về các ngươi như người mẹ nâng niu con, và tại Giêrusalem, các ngươi sẽ được an ủi. Các ngươi sẽ xem thấy, lòng các ngươi sẽ hân hoan, và các ngươi sẽ nảy nở như hoa cỏ, và tôi tớ Chúa sẽ nhìn biết bàn tay của Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 130, 1. 2. 3","response":"Ðáp: Lạy Chúa, xin giữ linh hồn con trong bình an của Chúa.","verses":["Xướng: Lạy Chúa, lòng con không tự đắc, và mắt con chẳng liếc nhìn cao, con cũng không lo nghĩ những việc lớn lao hay là những điều quá tầm trí mọn.","Xướng: Nhưng con lo giữ linh hồn cho thinh lặng và thanh thản. Như trẻ thơ sống trong lòng thân mẫu, linh hồn con cũng như thế ở trong con.","Xướng: Israel hãy cậy trông vào Chúa, tự bây giờ và cho tới muôn đời."]},"alleluia":{"verse":"x. Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, chúc tụng Cha, vì Cha đã mạc khải các mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-4","info":"“Nếu không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến bên Chúa Giêsu mà hỏi rằng: “Thưa Thầy, ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ này, người ấy là kẻ lớn nhất trong Nước Trời”.","end":"Ðó là lời Chúa"}},
+        "71810": {"firstReading":{"excerpt":"2 Tm 4, 9-17a","info":"“Chỉ còn một mình Luca ở với cha”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, Ðêma đã lìa bỏ cha, bởi nó yêu chuộng sự đời này, và đã trẩy sang Thêxalônica, còn Crescens thì đi Galata, Titô đi Ðalmatia. Chỉ còn một mình Luca ở với cha. Con hãy đem Marcô đi và dẫn tới đây với con, vì anh ấy có thể giúp ích để cha chu toàn sứ vụ. Còn Tykicô, thì cha đã sai đi Êphêxô rồi. Cái áo khoác cha để quên tại nhà ông Carpô ở Troa, khi con tới, hãy mang đến cho cha, cả những cuốn sách và nhất là những mảnh da thuộc để viết.\rAnh thợ đồng Alexanđrô làm cho cha phải chịu nhiều điều khốn khổ. Chúa sẽ trả báo cho nó tuỳ theo công việc nó đã làm. Cả con nữa, con cũng phải xa lánh nó, vì nó kịch liệt phản đối lời giảng dạy của chúng ta.\rLần đầu tiên cha đứng ra biện hộ cho cha, thì chẳng ai bênh đỡ cha, trái lại mọi người đều bỏ mặc cha: xin chớ chấp tội họ. Nhưng Chúa đã phù hộ cha và ban sức mạnh cho cha, để nhờ cha mà lời rao giảng được hoàn tất, và tất cả các Dân Ngoại được nghe.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 17-18","response":"Ðáp: Lạy Chúa, con cái Chúa làm cho loài người nhận biết vinh quang cao cả nước Chúa","verses":["Xướng: Lạy Chúa, mọi công việc của Chúa hãy chúc tụng Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng.","Xướng: Ðể con cái loài người nhận biết quyền năng, và vinh quang cao cả nước Chúa. Nước Chúa là nước vĩnh cửu muôn đời, chủ quyền Chúa tồn tại qua muôn thế hệ.","Xướng: Chúa công minh trong mọi đường lối của Người, và yêu thương trong mọi kỳ công Người tác tạo. Chúa ở gần những kẻ kêu cầu Người, những kẻ kêu cầu Người với lòng thành thật."]},"alleluia":{"verse":"Ga 15, 16","content":"alleluia! – Chúa phán: “Chính Thầy đã chọn các con, để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại”. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-9","info":"“Lúa chín đầy đồng mà thợ gặt thì ít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của Người. Các con hãy đi. Này Ta sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường.\r“Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ. Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: Nước Thiên Chúa đã đến gần các ngươi”.","end":"Ðó là lời Chúa"}},
+        "72810": {"firstReading":{"excerpt":"Ep 2, 19-22","info":"“Anh em đã được xây dựng trên nền tảng các tông đồ và các tiên tri”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em không còn là khách trọ và là khách qua đường nữa, nhưng là người đồng hương với các thánh và là người nhà của Thiên Chúa: anh em đã được xây dựng trên nền tảng của các Tông đồ và Tiên tri, và chính Ðức Kitô làm đá góc tường. Trong Người, tất cả toà nhà được xây dựng cao lên thành đền thánh trong Chúa, trong Người, cả anh em cũng được xây dựng làm một với nhau, để trở thành nơi Thiên Chúa ngự trong Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Ðáp: Tiếng chúng đã vang cùng trái đất","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa, thanh không kể ra sự nghiệp của Người. Ngày này nhắc nhủ cho ngày khác, đêm này truyện tụng cho đêm kia.","Xướng: Ðây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu."]},"alleluia":{"verse":" ","content":"alleluia! – Chúng con ca ngợi Chúa là Thiên Chúa; chúng con tuyên xưng Chúa là Chúa tể; lạy Chúa, ca đoàn vinh quang các tông đồ ca ngợi Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 6, 12-19","info":"“Người chọn mười hai vị mà Người gọi là tông đồ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy Chúa Giêsu lên núi cầu nguyện, và suốt đêm Người cầu nguyện cùng Thiên Chúa. Sáng ngày, Người gọi các môn đệ và chọn mười hai vị mà Người gọi là tông đồ: Ðó là Simon mà Người đặt tên là Phêrô và em ông là Anrê, Giacôbê và Gioan, Philipphê và Bartôlômêô, Matthêu và Tôma, Giacôbê con ông Alphê và Simon cũng gọi là nhiệt thành, Giuđa con ông Giacôbê và Giuđa Iscariốt, kẻ phản bội. Người đi xuống với các ông, và dừng lại trên một khoảng đất bằng phẳng, có nhóm đông môn đệ cùng đoàn lũ dân chúng đông đảo từ khắp xứ Giuđêa, Giêrusalem và miền duyên hải Tyrô và Siđôn đến nghe Người giảng và để được chữa lành mọi bệnh tật. Cả những người bị quỷ ô uế hành hạ cũng được chữa khỏi, và tất cả đám đông tìm cách chạm tới Người, vì tự nơi Người phát xuất một sức mạnh chữa lành mọi người.","end":"Ðó là lời Chúa"}},
+        "80210": {"firstReading":{"excerpt":"Xh 23, 20-23a","info":"“Thiên thần của Ta đi trước mặt ngươi”.","title":"Trích sách Xuất Hành.","content":"Ðây Chúa phán: “Này Ta sẽ sai thiên thần Ta đi trước mặt ngươi, gìn giữ ngươi khi đi đàng, và dẫn đưa ngươi đến nơi Ta đã dọn sẵn cho ngươi. Ngươi hãy ăn ở cẩn thận trước mặt người, hãy nghe lời người, và chớ cả lòng khi dể người: vì người sẽ không tha thứ cho ngươi khi ngươi phạm lỗi, bởi người mang lấy danh Ta trong người. Nếu ngươi nghe lời người, và tuân giữ tất cả những gì Ta truyền dạy, thì Ta sẽ là địch thù của những kẻ thù nghịch ngươi, và Ta sẽ trừng phạt những kẻ uy hiếp ngươi. Thiên thần Ta sẽ đi trước mặt ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 5-6. 10-11","response":"Ðáp: Chúa đã lệnh cho các thiên thần săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường","verses":["Xướng: Bạn sống trong sự che chở của Ðấng Tối Cao; bạn cư ngụ dưới bóng của Ðấng Toàn Năng. Hãy thưa cùng Chúa: “Chúa là chiến luỹ nơi con nương náu; lạy Chúa con, con tin cậy ở Ngài”.","Xướng: Vì Chính Người sẽ cứu bạn thoát lưới dò của kẻ bẫy chim, và thoát khỏi quan ôn tác hại. Người sẽ che chở bạn trong bóng cánh của Người, và dưới cánh Người, bạn sẽ nương thân: lòng trung tín của Người là mã giáp và khiên thuẫn.","Xướng: Bạn không còn sợ hãi cảnh kinh dị ban đêm, cũng không còn e ngại mũi tên ban ngày bay tới; không còn sợ quan ôn trong bóng tối lang thang, cũng không còn lo dịch tễ vào buổi trưa sát hại.","Xướng: Tai nạn không đến gần được bạn, và oan ương không bén bảng tới nhà bạn ở. Vì Chúa đã lệnh cho thiên thần Người săn sóc bạn, để chư vị đó gìn giữ bạn trên khắp nẻo đường."]},"alleluia":{"verse":"Tv 102, 21","content":"Alleluia,Alleluia, alleluia! – Hãy chúc tụng Chúa đi, chư binh toàn thể, chư vị thần hạ thừa hành ý muốn của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-5. 10","info":"“Các thiên thần của họ trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến bên Chúa Giêsu mà hỏi rằng: “Thưa Thầy, ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời. Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Thầy, Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},
+        "80710": {"firstReading":{"excerpt":"Cv 1: 12-14","info":"“Các Tông Đồ chuyên cần cầu nguyện cùng với bà Ma-ri-a, thân mẫu Đức Giê-su.","title":"Bài trích sách Công vụ Tông Đồ.","content":"Bấy giờ các ông từ núi gọi là núi Ô-liu trở về Giê-ru-sa-lem. Núi này ở gần Giê-ru-sa-lem, cách đoạn đường được phép đi trong ngày sa bát. Trở về nhà, các ông lên lầu trên, là nơi các ông trú ngụ. Đó là các ông: Phê-rô, Gio-an, Gia-cô-bê, An-rê, Phi-líp-phê, Tô-ma, Ba-tô-lô-mê-ô, Mát-thêu, Gia-cô-bê con ông An-phê, Si-môn thuộc nhóm Quá Khích, và Giu-đa con ông Gia-cô-bê. Tất cả các ông đều đồng tâm nhất trí, chuyên cần cầu nguyện cùng với mấy người phụ nữ, với bà Ma-ri-a thân mẫu Đức Giê-su, và với anh em của Đức Giê-su.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1,46-47.48-49.50-51.52-53.54-55 ","response":"Ðáp: Đấng Toàn Năng đã làm cho tôi biết bao điều cao cả, danh Người thật chí thánh chí tôn!","verses":["Xướng: Linh hồn tôi ngợi khen Đức Chúa, thần trí tôi hớn hở vui mừng vì Thiên Chúa, Đấng cứu độ tôi.","Xướng: Phận nữ tỳ hèn mọn, Người đoái thương nhìn tới; từ nay, hết mọi đời sẽ khen tôi diễm phúc. Đấng Toàn Năng đã làm cho tôi biết bao điều cao cả, danh Người thật chí thánh chí tôn!","Xướng: Đời nọ tới đời kia, Chúa hằng thương xót những ai kính sợ Người. Chúa giơ tay biểu dương sức mạnh, dẹp tan phường lòng trí kiêu căng.","Xướng: Chúa hạ bệ những ai quyền thế, Người nâng cao mọi kẻ khiêm nhường. Kẻ đói nghèo, Chúa ban của đầy dư, người giàu có, lại đuổi về tay trắng.","Xướng: Chúa độ trì Ít-ra-en, tôi tớ của Người, như đã hứa cùng cha ông chúng ta, vì Người nhớ lại lòng thương xót dành cho tổ phụ Áp-ra-ham và cho con cháu đến muôn đời”. Muôn nước hỡi, nào ca ngợi Chúa, ngàn dân ơi, hãy chúc tụng Người!"]},"alleluia":{"verse":"Lc 1, 28","content":"Alleluia, Alleluia,  Alleluia.- Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ; Trinh Nữ được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh nữ sẽ thụ thai và sinh một Con trai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Thiên Thần Gabriel được Chúa sai đến một thành xứ Galilêa, tên là Nadarét, đến với một trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ðavít, trinh nữ ấy tên là Maria. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào Trinh Nữ đầy ơn phước, Thiên Chúa ở cùng Trinh Nữ”. Nghe lời đó, Trinh Nữ bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Maria đừng sợ, vì đã được ơn nghĩa với Chúa. Này Trinh Nữ sẽ thụ thai, hạ sinh một con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Giacóp, và triều đại Người sẽ vô tận.\rNhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với trinh nữ và uy quyền Ðấng Tối Cao sẽ bao trùm trinh nữ. Vì thế, Ðấng trinh nữ sinh ra sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, Isave chị họ trinh nữ cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMaria liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và thiên thần cáo biệt trinh nữ.","end":"Ðó là lời Chúa"}},
+        "81710": {"firstReading":{"excerpt":"Pl 3, 17 – 4, 1","info":"“Quê hương chúng ta ở trên trời”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Anh em thân mến, anh em hãy bắt chước tôi, và hãy để mắt nhìn coi những người ăn ở theo như mẫu mực anh em thấy nơi chúng tôi. Bởi chưng như tôi đã thường nói với anh em, và giờ đây tôi đau lòng ứa lệ mà nói lại, có nhiều người sống thù nghịch với thập giá Ðức Kitô. Chung cuộc đời họ là hư vong, chúa tể của họ là cái bụng, và họ đặt vinh danh của họ trong những điều ô nhục; họ chỉ ưa chuộng những cái trên cõi đời này. Phần chúng ta, quê hương chúng ta ở trên trời, nơi đó chúng ta mong đợi Ðấng Cứu Chuộc là Ðức Giêsu Kitô, Chúa chúng ta. Người sẽ biến đổi thân xác hèn hạ của chúng ta nên giống thân xác hiển vinh của Người, nhờ quyền lực mà Người vẫn có, để bắt muôn vật suy phục Người.\rBởi thế, anh em thân mến và yêu quý, anh em là niềm hoan lạc và triều thiên của tôi; anh em thân mến, hãy vững vàng trong Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Chúa đã cứu tôi khỏi mọi điều lo sợ. Hoặc đọc: Alleluia.","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Thần Chúa hạ trại đồn binh chung quanh những người sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao; phúc đức ai nương tựa ở nơi Người. – Ðáp."]},"alleluia":{"verse":"Gc 1, 12","content":"alleluia! – Phúc cho người biết kiên tâm chịu cám dỗ thử thách, vì khi thí luyện thành công, họ sẽ lĩnh triều thiên sự sống. – Alleluia."},"gospel":{"excerpt":"Ga 12, 24-26","info":"“Nếu hạt lúa mì thối đi, thì sẽ sinh nhiều bông hạt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thật, Thầy nói thật với các con: Nếu hạt lúa mì rơi xuống đất mà không thối đi, thì nó chỉ trơ trọi một mình; nhưng nếu nó thối đi, thì nó sinh nhiều bông hạt. Ai yêu sự sống mình thì sẽ mất, và ai ghét sự sống mình ở đời này, thì sẽ giữ được nó cho sự sống đời đời. Ai phụng sự Thầy, hãy theo Thầy, và Thầy ở đâu, thì kẻ phụng sự Thầy cũng sẽ ở đó. Ai phụng sự Thầy, Cha Thầy sẽ tôn vinh nó”.","end":"Ðó là lời Chúa"}}
+    }
+});
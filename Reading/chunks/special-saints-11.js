@@ -0,0 +1,13 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-11", {
+    "SPECIAL": {
+        "70111": {"firstReading":{"excerpt":"Kh 7, 2-4, 9-14","info":"“Tôi đã nhìn thấy đoàn người đông đảo không thể đếm được, họ thuộc đủ mọi nước, mọi chi họ, mọi dân tộc và mọi thứ tiếng”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Tôi là Gioan đã nhìn thấy một thiên thần khác từ phía mặt trời mọc đi lên, tay cầm ấn Thiên Chúa hằng sống, và lớn tiếng kêu gọi bốn thiên thần được lệnh tàn phá đất và biển mà rằng: “Chớ có tàn phá đất, biển và cây cối trước khi ta đóng ấn trên trán những tôi tớ của Thiên Chúa chúng ta”. Và tôi đã nghe biết số người được đóng ấn là một trăm bốn mươi bốn ngàn người, thuộc mọi chi tộc Israel.\rSau đó, tôi đã nhìn thấy đoàn người đông đảo không thể đếm được, họ thuộc đủ mọi nước, mọi chi họ, mọi dân tộc và mọi thứ tiếng. Họ đứng trước ngai vàng và trước mặt Con Chiên, mình mặc áo trắng tinh, tay cầm nhành lá thiên tuế. Họ lớn tiếng tung hô rằng: “Kính lạy Thiên Chúa chúng tôi, Ðấng ngự trên ngai vàng, và Con Chiên”.\rRồi tất cả các thiên thần đến đứng chung quanh ngai vàng, và các trưởng lão cùng bốn con vật sấp mình xuống trước ngai mà thờ lạy Thiên Chúa rằng: “Amen! Chúc tụng, vinh hiển, khôn ngoan, cảm tạ, vinh dự, uy quyền và dũng lực cho Thiên Chúa chúng tôi muôn đời. Amen”. Rồi một trong các trưởng lão lên tiếng hỏi rằng: “Những người mặc áo trắng này là ai vậy? Và họ từ đâu mà đến?” Tôi đáp lại rằng: “Thưa ngài, hẳn ngài đã rõ”. Và người bảo tôi rằng: “Họ là những người từ đau khổ lớn lao mà đến, họ giặt áo và tẩy áo trắng trong máu Con Chiên”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Lạy Chúa, này là dòng dõi của những kẻ tìm Chúa","verses":["Xướng: Trái đất và muôn loài trên mặt đất là của Chúa, hoàn cầu và muôn vật trên địa cầu. Vì chưng Chúa đã xây dựng nền móng trái đất trên biển cả, và Người đã tạo dựng nó trên các sông ngòi.","Xướng: Ai sẽ được trèo lên núi Chúa? Ai sẽ được dừng bước trong thánh điện? Ðó là người có bàn tay vô tội và tâm hồn trong sạch, không để lòng xuôi theo sự giả trá.","Xướng: Người đó sẽ hưởng phúc lành của Chúa và lượng từ bi của Chúa, Ðấng giải thoát họ. Ðấy là dòng dõi của những kẻ tìm Người, những kẻ tìm tôn nhan Thiên Chúa của Giacóp."]},"secondReading":{"excerpt":"1 Ga 3, 1-3","info":"“Người thế nào, chúng ta sẽ thấy Người như vậy”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, các con hãy coi: Tình yêu của Thiên Chúa Cha đối với chúng ta thế nào, khiến chúng ta được gọi là con Thiên Chúa và thực sự là thế. Vì đó mà thế gian không nhận biết chúng ta, vì thế gian không biết Người. Các con thân mến, hiện nay, chúng ta là con Thiên Chúa, còn chúng ta sẽ ra sao thì vẫn chưa được tỏ ra. Chúng ta biết rằng: khi được tỏ ra, thì chúng ta sẽ giống như Người, vì Người thế nào, chúng ta sẽ thấy như vậy. Và bất cứ ai đặt hy vọng nơi Người, thì tự thánh hoá mình cũng như Người là Ðấng Thánh.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mc 11, 28","content":"alleluia! – Chúa phán: “Tất cả hãy đến với Ta, hỡi những ai khó nhọc và gánh nặng, Ta sẽ nâng đỡ bổ sức cho các con”. – Alleluia."},"gospel":{"excerpt":"Mt 5, 1-12a","info":"“Phúc cho những ai có tinh thần nghèo khó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đoàn lũ đông đảo, Người đi lên núi, và lúc Người ngồi xuống, các môn đệ đến gần Người. Bấy giờ Người mở miệng dạy họ rằng:\r“Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ. – Phúc cho những ai hiền lành, vì họ sẽ được Ðất Nước làm cơ nghiệp. – Phúc cho những ai đau buồn, vì họ sẽ được ủi an. – Phúc cho những ai đói khát điều công chính, vì họ sẽ được no thoả. – Phúc cho những ai hay thương xót người, vì họ sẽ được xót thương. – Phúc cho những ai có lòng trong sạch, vì họ sẽ được nhìn xem Thiên Chúa. – Phúc cho những ai ăn ở thuận hoà, vì họ sẽ được gọi là con Thiên Chúa. – Phúc cho những ai bị bách hại vì lẽ công chính, vì Nước Trời là của họ.\r“Phúc cho các con khi người ta ghen ghét, bách hại các con, và bởi ghét Thầy, họ vu khống cho các con mọi điều gian ác. Các con hãy vui mừng hân hoan, vì phần thưởng của các con sẽ trọng đại ở trên trời”.","end":"Ðó là lời Chúa"}},
+        "70211": {"firstReading":{"excerpt":"Rm 6, 3-9","info":"“Chúng ta phải sống đời sống mới”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tất cả chúng ta đã chịu phép rửa trong Ðức Giêsu Kitô, tức là đã chịu phép rửa trong sự chết của Người. Và chúng ta đã cùng chịu mai táng với Người, bởi được thanh tẩy trong sự chết của Người, để như Ðức Kitô nhờ vinh hiển của Chúa Cha mà sống lại từ cõi chết thế nào, thì cả chúng ta cũng phải sống đời sống mới như thế. Vì nếu chúng ta được liên kết với Người trong cùng một cái chết, giống như cái chết của Người, thì chúng ta cũng được hợp nhất với Người, trong sự sống lại giống như vậy.\rNên biết điều này: con người cũ của chúng ta đã cùng chịu đóng đinh khổ giá, để xác thịt tội lỗi bị huỷ đi, hầu cho chúng ta không còn làm nô lệ tội lỗi nữa, vì con người đã chết, tức là được giải thoát khỏi tội lỗi. Mà nếu chúng ta đã chết với Ðức Kitô, chúng ta tin rằng chúng ta cũng sẽ cùng sống với Người, vì biết rằng Ðức Kitô một khi từ cõi chết sống lại, Người không chết nữa, sự chết không còn làm chủ được Người nữa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi","verses":["Hoặc đọc: Dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con","Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. – Dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":"Ga 11, 25-26","content":"alleluia! – Chúa phán: “Hỡi những kẻ Cha Ta chúc phúc, hãy đến, hãy lãnh lấy phần gia nghiệp là Nước Trời đã chuẩn bị cho các ngươi từ khi tạo dựng vũ trụ”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 51-59","info":"“Thịt Ta thật là của ăn, và máu Ta thật là của uống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng dân Do-thái rằng: “Ta là bánh hằng sống từ trời xuống; ai ăn bánh này, thì sẽ sống đời đời. Và bánh Ta sẽ ban, chính là thịt Ta, để cho thế gian được sống”. Vậy người Do-thái tranh luận với nhau rằng: “Làm sao ông này có thể lấy thịt mình cho chúng ta ăn được?”\rBấy giờ Chúa Giêsu nói với họ: “Thật, Ta bảo thật các ngươi: Nếu các ngươi không ăn thịt Con Người và uống máu Ngài, các ngươi sẽ không có sự sống trong các ngươi. Ai ăn thịt Ta và uống máu Ta thì có sự sống đời đời, và Ta, Ta sẽ cho kẻ ấy sống lại ngày sau hết. Vì thịt Ta thật là của ăn, và máu Ta thật là của uống. Ai ăn thịt Ta và uống máu Ta, thì ở trong Ta, và Ta ở trong kẻ ấy. Cũng như Cha là Ðấng hằng sống đã sai Ta, nên Ta sống nhờ Cha, thì kẻ ăn Ta, chính người ấy cũng sẽ sống nhờ Ta. Ðây là bánh bởi trời xuống, không phải như cha ông các ngươi đã ăn manna và đã chết. Ai ăn bánh này thì sẽ sống đời đời”.","end":"Ðó là lời Chúa"}},
+        "70911": {"firstReading":{"excerpt":"Ed 47, 1-2. 8-9. 12","info":"“Tôi đã thấy nước từ bên phải đền thờ chảy ra, và nước ấy chảy đến ai, thì tất cả đều được cứu rỗi”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Trong những ngày ấy, thiên thần dẫn tôi đến cửa nhà Chúa, và đây nước chảy dưới thềm nhà phía hướng đông, vì mặt tiền nhà Chúa hướng về phía đông, còn nước thì chảy từ bên phải đền thờ, về phía nam bàn thờ. Thiên thần dẫn tôi qua cửa phía bắc, đưa đi phía ngoài, đến cửa ngoài nhìn về hướng đông, và đây nước chảy từ bên phải. Người ấy lại nói với tôi: “Nước này chảy về phía cồn cát, phía đông, chảy xuống đồng bằng hoang địa, rồi chảy ra biển, biến mất trong biển và trở nên nước trong sạch. Tất cả những sinh vật sống động, nhờ suối nước chảy qua, đều được sống. Sẽ có rất nhiều cá và nơi nào nước này chảy đến, nơi đó sẽ trở nên trong lành, và sự sống sẽ được phát triển ở nơi mà suối nước chảy đến. Gần suối nước, hai bên bờ ở mỗi phía, mọi thứ cây ăn trái sẽ mọc lên; lá của nó sẽ không khô héo, và trái của nó sẽ không bao giờ hết; mỗi tháng nó có trái mới, vì dòng nước này phát xuất từ đền thờ; trái của nó dùng làm thức ăn, và lá của nó dùng làm thuốc uống.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 45, 2-3. 5-6. 8-9","response":"Ðáp: Nước dòng sông làm cho thành Chúa vui mừng, làm hân hoan cung thánh Ðấng Tối Cao","verses":["Xướng: Chúa là nơi ẩn náu và là sức mạnh của chúng ta, Người hằng cứu giúp khi ta sầu khổ. Dầu đất có rung chuyển, ta không sợ chi, dầu núi đổ xuống đầy lòng biển cả.","Xướng: Nước dòng sông làm cho thành Chúa vui mừng, làm hân hoan cung thánh Ðấng Tối Cao hiển ngự. Chúa ở giữa thành, nên nó không chuyển rung, lúc tinh sương, thành được Chúa cứu giúp.","Xướng: Chúa thiên binh hằng ở cùng ta, ta được Chúa Giacóp hằng bảo vệ. Các ngươi hãy đến mà xem mọi kỳ công Chúa làm, Người thực hiện muôn kỳ quan trên vũ trụ."]},"secondReading":{"excerpt":"1 Cr 3, 9b-11.16-17","info":"“Anh em là đền thờ của Thiên Chúa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em là toà nhà của Thiên Chúa. Theo ân sủng Thiên Chúa đã ban cho tôi, tôi như một kiến trúc sư lành nghề, đã đặt nền móng, còn kẻ khác thì xây lên. Nhưng mỗi người hãy xem coi mình xây lên thế nào? Vì chưng không ai có thể xây dựng một nền tảng khác, ngoài nền tảng đã được xây dựng là Ðức Kitô.\rAnh em không biết anh em là đền thờ của Thiên Chúa và Thánh Thần Thiên Chúa ngự trong anh em sao? Nếu ai xúc phạm tới đền thờ của Thiên Chúa, thì Thiên Chúa sẽ huỷ diệt người ấy. Vì đền thờ của Thiên Chúa là thánh mà chính anh em là đền thờ ấy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"2 Sb 7, 16","content":"alleluia! – Chúa phán: “Ta đã chọn lựa và thánh hoá nơi này, để danh Ta được hiện diện khắp nơi cho đến muôn đời. – Alleluia."},"gospel":{"excerpt":"Ga 2, 13-22","info":"“Người có ý nói đền thờ là thân thể Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Lễ Vượt Qua của dân Do-thái gần đến, Chúa Giêsu lên Giêrusa-lem; Người thấy ở trong đền thờ có những người bán bò, chiên, chim câu và cả những người ngồi đổi tiền bạc. Người chắp dây thừng làm roi, đánh đuổi tất cả bọn cùng với chiên bò ra khỏi đền thờ, Người hất tung tiền của những người đổi bạc, xô đổ bàn ghế của họ, và bảo những người bán chim câu rằng: “Hãy đem những thứ này đi khỏi đây, và đừng làm nhà Cha Ta thành nơi buôn bán”.\rMôn đệ liền nhớ lại câu Kinh Thánh: “Sự nhiệt thành vì nhà Chúa sẽ thiêu đốt tôi”.\rBấy giờ người Do-thái bảo Người rằng: “Ông hãy tỏ cho chúng tôi thấy dấu gì là ông có quyền làm như vậy”. Chúa Giêsu trả lời: “Các ông cứ phá huỷ đền thờ này đi, nội trong ba ngày Ta sẽ dựng lại”. Người Do-thái đáp lại: “Phải bốn muơi sáu năm mới xây được đền thờ này mà ông, ông sẽ dựng lại trong ba ngày ư?” Nhưng Người, Người có ý nói đền thờ là thân thể Người. Vì thế, khi Chúa Giêsu từ cõi chết sống lại, các môn đệ mới nhớ lời đó, nên đã tin Kinh Thánh và tin lời Người đã nói.","end":"Ðó là lời Chúa"}},
+        "72411": {"firstReading":{"excerpt":"Kn 3, 1-9:","info":"“Chúa chấp nhận các ngài như của lễ toàn thiêu”.","title":"Trích sách Khôn Ngoan.","content":"Linh hồn những người công chính ở trong tay Chúa, và đau khổ sự chết không làm gì được các ngài. Ðối với con mắt của người không hiểu biết, thì hình như các ngài đã chết và việc các ngài từ biệt chúng ta, là như đi vào cõi tiêu diệt. Nhưng thật ra các ngài sống trong bình an. Và trước mặt người đời, dầu các ngài có chịu khổ hình, lòng trông cậy của các ngài cũng không chết. Sau một giây lát chịu khổ nhục, các ngài sẽ được vinh dự lớn lao; vì Chúa đã thử thách các ngài như thử vàng trong lửa, và chấp nhận các ngài như của lễ toàn thiêu.\rKhi đến giờ Chúa ghé mắt nhìn các ngài, các người công chính sẽ sáng chói và chiếu toả ra như ánh lửa chiếu qua bụi lau. Các ngài sẽ xét sử các dân tộc, sẽ thống trị các quốc gia, và Thiên Chúa sẽ ngự trị trong các ngài muôn đời. Các ngài đã tin tưởng ở Chúa, thì sẽ hiểu biết chân lý, và trung thành với Chúa trong tình yêu, vì ơn Chúa và bình an sẽ dành cho những người Chúa chọn.\rHoặc đọc:  2 Mcb 7, 1.20-23.27b-29  \rTrích sách Ma-ca-bê quyển thứ hai.\rHồi ấy, có bảy anh em bị bắt cùng với bà mẹ. Vua An-ti-ô-khô cho lấy roi và gân bò mà đánh họ, để bắt họ ăn thịt heo là thức ăn luật Mô-sê cấm.\rBà mẹ là người rất mực xứng đáng cho ta khâm phục và kính cẩn ghi nhớ. Bà thấy bảy người con trai phải chết nội trong có một ngày, thế mà bà vẫn can đảm chịu đựng nhờ niềm trông cậy bà đặt nơi Đức Chúa. Bà dùng tiếng mẹ đẻ mà khuyến khích từng người một, lòng bà đầy tâm tình cao thượng; lời lẽ của bà tuy là của một người phụ nữ, nhưng lại sôi sục một chí khí nam nhi; bà nói với các con: “Mẹ không rõ các con đã thành hình trong lòng mẹ thế nào. Không phải mẹ ban cho các con hơi thở và sự sống. Cũng không phải mẹ sắp đặt các phần cơ thể cho mỗi người trong các con. Chính Đấng Tạo Hoá càn khôn đã nắn đúc nên loài người, và đã sáng tạo nguồn gốc muôn loài. Chính Người do lòng thương xót, cũng sẽ trả lại cho các con hơi thở và sự sống, bởi vì bây giờ các con trọng Luật Lệ của Người hơn bản thân mình.”\rBà nói với người con út : “Con ơi, con hãy thương mẹ: chín tháng cưu mang, ba năm bú mớm, mẹ đã nuôi nấng dạy dỗ con đến ngần này tuổi đầu. Mẹ xin con hãy nhìn xem trời đất và muôn loài trong đó, mà nhận biết rằng Thiên Chúa đã làm nên tất cả từ hư vô, và loài người cũng được tạo thành như vậy. Con đừng sợ tên đao phủ này; nhưng hãy tỏ ra xứng đáng với các anh con, mà chấp nhận cái chết, để đến ngày Chúa thương xót, Người sẽ trả con và các anh con cho mẹ.”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","response":"Ðáp: Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.c5","verses":["Xướng: Khi Chúa đem những người Sion bị bắt trở về, chúng tôi dường như Người đang mơ, bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: “Chúa đã đối xử với họ cách đại lượng”. Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan.","Xướng: Lạy Chúa, xin hãy đổi số phận của con, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo; họ trở về hân hoan, vai mang những bó lúa."]},"secondReading":{"excerpt":"1 Cr 1, 17-25","info":"“Vì tiếng nói của Thập Giá là sức mạnh của Thiên Chúa ban cho chúng ta”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, Ðức Kitô không sai tôi đi rửa tội, mà là rao giảng Tin Mừng, không phải bằng lời nói khôn khéo, kẻo Thập giá của Ðức Kitô ra hư không.\rVì chưng lời rao giảng về Thập giá là sự điên rồ đối với những kẻ hư mất; nhưng đối với những người được cứu độ là chúng ta, thì điều đó là sức mạnh của Thiên Chúa. Vì như đã chép rằng: “Ta sẽ phá huỷ sự khôn ngoan của những kẻ khôn ngoan, sẽ chê bỏ sự thông thái của những người thông sáng. Người khôn ngoan ở đâu? Người trí thức ở đâu? Người lý sự đời này ở đâu?” Nào Thiên Chúa chẳng làm cho sự khôn ngoan của đời này hoá ra điên rồ đó sao? Vì thế gian tự phụ là khôn, không theo sự khôn ngoan của Thiên Chúa mà nhận biết Thiên Chúa, thì Thiên Chúa đã muốn dùng sự điên rồ của lời rao giảng để cứu độ những kẻ tin. Vì chưng, các người Do-thái đòi hỏi những dấu lạ, những người Hy-lạp tìm kiếm sự khôn ngoan, còn chúng tôi, chúng tôi rao giảng Chúa Kitô chịu đóng đinh trên thập giá, một cớ vấp phạm cho người Do-thái, một sự điên rồ đối với các người ngoại giáo. Nhưng đối với những người được gọi, dầu là Do-thái hay Hy-lạp, thì Ngài là Chúa Kitô, quyền năng của Thiên Chúa, và sự khôn ngoan của Thiên Chúa, vì sự điên dại của Thiên Chúa thì vượt hẳn sự khôn ngoan của loài người, và sự yếu đuối của Thiên Chúa thì vượt hẳn sức mạnh của loài người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 5,10","content":"alleluia! Phúc thay ai bị bách hại vì sống công chính, vì Nước Trời là của họ. Alleluia"},"gospel":{"excerpt":"Lc 9,23-26","info":"“Ai muốn theo tôi, phải từ bỏ chính mình, vác thập giá mình hằng ngày mà theo.\"","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Đức Giê-su nói với mọi người: “Ai muốn theo tôi, phải từ bỏ chính mình, vác thập giá mình hằng ngày mà theo. Quả vậy, ai muốn cứu mạng sống mình, thì sẽ mất; còn ai liều mất mạng sống mình vì tôi, thì sẽ cứu được mạng sống ấy. Vì người nào được cả thế giới mà phải đánh mất chính mình hay là thiệt thân, thì nào có lợi gì? Ai xấu hổ vì tôi và những lời của tôi, thì Con Người cũng sẽ xấu hổ vì kẻ ấy, khi Người ngự đến trong vinh quang của mình, của Chúa Cha và các thánh thiên thần.","end":"Ðó là lời Chúa"}},
+        "73011": {"firstReading":{"excerpt":"Rm 10, 9-18","info":"“Lòng tin có là nhờ nghe, còn nghe thì dựa vào lời Ðức Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Nếu miệng ngươi tuyên xưng Ðức Giêsu là Chúa và lòng ngươi tin rằng Thiên Chúa đã cho Người từ cõi chết sống lại, thì ngươi sẽ được rỗi. Quả thế, tin trong lòng thì sẽ được công chính, tuyên xưng ngoài miệng sẽ được cứu rỗi.\rNhưng người ta kêu cầu thế nào được với Ðấng mà họ không tin? Hoặc làm sao họ tin được Ðấng họ không nghe nói tới? Nhưng nghe thế nào được, nếu không có người rao giảng? Mà rao giảng thế nào được, nếu không được ai sai đi? Như có lời chép rằng: “Cao quý thay chân những người rao giảng sự bình an, rao giảng tin lành!” Nhưng không phải mọi người đều suy phục Tin Mừng cả đâu. Vì Isaia nói rằng: “Lạy Chúa, nào có ai tin lời chúng con rao giảng?”\rVậy lòng tin có là nhờ nghe, còn nghe thì dựa vào lời Ðức Kitô. Nhưng tôi xin hỏi: Phải chăng họ đã không được nghe đến? Quả thật, tiếng của những vị đó đã vang dội ra khắp địa cầu, và lời của những đấng ấy được truyền đến tận cùng thế giới.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Ðáp: Tiếng chúng đã vang cùng trái đất","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa, thanh không kể ra sự nghiệp của Người. Ngày này nhắc nhủ cho ngày khác, đêm này truyền tụng cho đêm kia.","Xướng: Ðây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu."]},"alleluia":{"verse":"Ga 9, 19","content":"alleluia! – Chúa phán: “Các ngươi hãy theo Ta; Ta sẽ làm cho các ngươi trở thành những ngư phủ lưới người ta”. – Alleluia."},"gospel":{"excerpt":"Mt 4, 18-22","info":"“Các ông bỏ lưới mà đi theo Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, nhân lúc Chúa Giêsu đi dọc theo bờ biển Galilêa, Người thấy hai anh em là Simon, cũng gọi là Phêrô, và Anrê, em ông, cả hai đang thả lưới dưới biển, vì hai ông là ngư phủ. Người bảo hai ông rằng: “Các ngươi hãy theo Ta, Ta sẽ làm cho các ngươi trở thành những ngư phủ lưới người ta”. Lập tức hai ông bỏ lưới đó mà theo Người. Ði xa hơn một đỗi, Người lại thấy hai anh em khác là Giacôbê con ông Giêbêđê, và Gioan em ông đang vá lưới trong thuyền với cha là Giêbêđê. Người cũng gọi hai ông. Lập tức hai ông bỏ lưới và cha mình mà đi theo Người.","end":"Ðó là lời Chúa"}},
+        "80211": {"firstReading":{"excerpt":"Kn 3, 1-9","info":"“Chúa chấp nhận các ngài như của lễ toàn thiêu”.","title":"Trích sách Khôn Ngoan.","content":"Linh hồn những người công chính ở trong tay Chúa, và đau khổ sự chết không làm gì được các ngài. Ðối với con mắt người không hiểu biết, thì hình như các ngài đã chết và việc các ngài từ biệt chúng ta, là như đi vào cõi tiêu diệt. Nhưng thật ra các ngài sống trong bình an. Và trước mặt người đời, dầu các ngài đã chịu khổ hình, lòng cậy trông của các ngài cũng không chết. Sau một giây lát chịu khổ nhục, các ngài sẽ được vinh dự lớn lao: vì Chúa đã thử thách các ngài như thử vàng trong lửa, và chấp nhận các ngài như của lễ toàn thiêu.\rKhi đến giờ Chúa ghé mắt nhìn các ngài, các người công chính sẽ sáng chói và chiếu tỏ ra như ánh lửa chiếu qua bụi lau. Các ngài sẽ xét xử các dân tộc, sẽ thống trị các quốc gia, và Thiên Chúa sẽ ngự trị trong các ngài muôn đời. Các ngài đã tin tưởng ở Chúa, thì sẽ hiểu biết chân lý, và trung thành với Chúa trong tình yêu, vì ơn Chúa và bình an sẽ dành cho những người Chúa chọn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 6-7bc. 17-18. 20-21","response":"Ðáp: Lạy Chúa, con vươn linh hồn con lên tới Chúa. Hoặc đọc: Lạy Chúa, phàm ai trông cậy Chúa, ắt chẳng hổ ngươi","verses":["Xướng: Lạy Chúa, xin nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa.","Xướng: Xin cho lòng con được nhẹ bớt lo âu, và giải thoát con khỏi cảnh ưu tư phiền muộn. Xin Chúa coi cảnh lầm than khốn khổ của con, và tha thứ hết mọi điều tội lỗi.","Xướng: Xin gìn giữ mạng sống con và giải thoát con, đừng để con bẽ bàng vì đã tìm nương tựa Chúa. Nguyện cho lòng con vô tội và trung thứ bảo vệ con, vì con trông cậy vào Ngài, thân lạy Chúa."]},"alleluia":{"verse":"2 Tm 2, 11-12a","content":"Alleluia, Alleluia,  Alleluia.– Nếu chúng ta cùng chết với Chúa Kitô, thì chúng ta cùng sống với Người; nếu chúng ta kiên tâm chịu đựng, chúng ta sẽ cùng thống trị với Người. – Alleluia."},"gospel":{"excerpt":"Lc 23, 33. 39-43","info":"“Hôm nay ngươi sẽ ở trên thiên đàng với Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi đã đến nơi gọi là Núi Sọ, chúng đóng đinh Người vào thập giá cùng với hai tên trộm cướp, một đứa bên hữu một đứa bên tả Người. Bấy giờ Chúa Giêsu than thở rằng: “Lạy Cha, xin tha cho chúng, vì chúng không biết việc chúng làm”. Rồi chúng rút thăm mà chia nhau áo Người. Một trong hai kẻ trộm bị đóng đinh trên thập giá cũng sỉ nhục người rằng: “Nếu ông là Ðấng Kitô, ông hãy tự cứu ông và cứu chúng tôi nữa”.\rÐối lại, tên kia mắng nó rằng: “Mi cũng chịu đồng một án mà mi chẳng sợ Thiên Chúa sao? Phần chúng ta, như thế này là đích đáng, vì chúng ta chịu xứng với việc chúng ta làm, còn ông này, ông có làm gì xấu đâu?” Và anh ta thưa cùng Chúa Giêsu rằng: “Lạy Ngài, khi nào về nước Ngài, xin nhớ đến tôi”. Chúa Giêsu đáp: “Quả thật, Ta bảo ngươi: ngay hôm nay, ngươi sẽ ở trên thiên đàng với Ta”.","end":"Ðó là lời Chúa"}},
+        "81711": {"firstReading":{"excerpt":"St 3, 9-15. 20","info":"“Ta sẽ đặt mối thù nghịch giữa miêu duệ mi và miêu duệ người phụ nữ”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa đã gọi Ađam và phán bảo ông rằng: “Ngươi đang ở đâu?” Ông đã thưa: “Con đã nghe thấy tiếng Ngài trong vườn địa đàng, nhưng con sợ hãi, vì con trần truồng và con đang ẩn núp”.\rChúa phán bảo ông rằng: “Ai đã chỉ cho ngươi biết rằng ngươi trần truồng, há chẳng phải tại ngươi đã ăn trái cây mà Ta đã cấm ngươi không được ăn ư?” Ađam thưa lại:”Người phụ nữ Chúa đã cho làm bạn với con, chính nàng đã cho con trái cây và con đã ăn”. Và Thiên Chúa phán bảo người phụ nữ rằng: “Tại sao ngươi đã làm điều đó?” Người phụ nữ thưa:”Con rắn đã lừa dối con và con đã ăn”.\rThiên Chúa phán bảo con rắn rằng: “Bởi vì mi đã làm điều đó, mi sẽ vô phúc ở giữa mọi sinh vật và mọi muông thú địa cầu; mi sẽ bò đi bằng bụng, và mi sẽ ăn bùn đất mọi ngày trong đời mi. Ta sẽ đặt mối thù nghịch giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ người đó, người miêu duệ đó sẽ đạp nát đầu mi, còn mi thì sẽ rình cắn gót chân người”.\rVà Ađam đã gọi tên vợ mình là Evà: vì lẽ bà là mẹ của chúng sinh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8","response":"Ðáp: Tâm hồn tôi nhảy mừng trong Chúa, Ðấng Cứu độ tôi","verses":["Xướng: Tâm hồn tôi nhảy mừng trong Chúa, và sức mạnh tôi được gia tăng trong Thiên Chúa tôi; miệng tôi mở rộng ra trước quân thù, vì tôi reo mừng việc Chúa cứu độ tôi.","Xướng: Chiếc cung những người chiến sĩ đã bị bẻ gãy, và người yếu đuối được mạnh khoẻ thêm. Những kẻ no nê phải làm thuê độ nhật, và những người đói khát khỏi phải làm thuê; người son sẻ thì sinh năm đẻ bảy, còn kẻ đông con nay phải héo tàn.","Xướng: Chúa làm cho chết và Chúa làm cho sống, Chúa đày xuống Âm phủ và Chúa dẫn ra. Chúa làm cho nghèo và làm cho giàu có, Chúa hạ xuống thấp và Chúa nâng lên cao.","Xướng: Từ nơi cát bụi, Chúa nâng người yếu đuối; từ chỗ phân nhơ, Chúa nhắc kẻ khó nghèo, để cho họ ngồi chung với các vương giả, và cho họ dự phần ngôi báu vinh quang."]},"secondReading":{"excerpt":"Rm 5, 12. 17-19","info":"“Nơi nào tội lỗi đầy tràn, thì Người ban ơn thánh dư dật”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, cũng như do một người mà tội lỗi đã nhập vào thế gian, và do tội lỗi mà có sự chết, và thế là sự chết đã truyền đến mọi người, vì lẽ rằng mọi người đã phạm tội. Vì nếu bởi tội của một người mà sự chết đã thống trị do một người đó, thì những người lãnh được ân sủng và ơn huệ dồi dào bởi đức công chính, càng được thống trị hơn nữa trong sự sống do một người là Ðức Giêsu Kitô. Do đó, tội của một người truyền đến mọi người đưa tới án phạt như thế nào, thì đức công chính của một người truyền sang mọi người đưa tới bậc công chính ban sự sống cũng như thế. Vì như bởi tội không vâng lời của một người mà muôn người trở thành những tội nhân thế nào, thì do đức vâng lời của một người mà muôn người trở thành kẻ công chính cũng như thế.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 1, 28","content":"Alleluia, Alleluia,  Alleluia.- Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ; Trinh Nữ được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh nữ sẽ thụ thai và sinh một Con trai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Thiên Thần Gabriel được Chúa sai đến một thành xứ Galilêa, tên là Nadarét, đến với một trinh nữ đã đính hôn với một người tên là Giuse, thuộc chi họ Ðavít, trinh nữ ấy tên là Maria. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào Trinh Nữ đầy ơn phước, Thiên Chúa ở cùng Trinh Nữ”. Nghe lời đó, Trinh Nữ bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Maria đừng sợ, vì đã được ơn nghĩa với Chúa. Này Trinh Nữ sẽ thụ thai, hạ sinh một con trai và đặt tên là Giêsu. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Giacóp, và triều đại Người sẽ vô tận.\rNhưng Maria thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với trinh nữ và uy quyền Ðấng Tối Cao sẽ bao trùm trinh nữ. Vì thế, Ðấng trinh nữ sinh ra sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, Isave chị họ trinh nữ cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMaria liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và thiên thần cáo biệt trinh nữ.","end":"Ðó là lời Chúa"}},
+        "82111": {"firstReading":{"excerpt":"Dcr 2, 14-17","info":"Lời Chúa trong sách Dacaria","title":"Hỡi con gái Sion, hãy vui sướng reo hò, vì này Ta đang đến ở lại giữa ngươi, – sấm ngôn của Đức Chúa.","content":"Ngày ấy, nhiều dân tộc sẽ gắn bó cùng Đức Chúa: Chúng sẽ thành dân thánh của Ta, và Ta sẽ cư ngụ ở giữa ngươi. Bấy giờ, (các) ngươi sẽ nhận biết rằng Đức Chúa các đạo binh đã phái tôi đến với (các) ngươi. Đức Chúa sẽ lấy Giuđa làm cơ nghiệp, đó là sở hữu của Người trên Đất Thánh và Người sẽ lại tuyển chọn Giêrusalem. Hỡi mọi xác phàm, hãy lặng thinh trước nhan Đức Chúa, Bởi vì Người tỉnh giấc và ra khỏi Nơi Thánh của Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sm 2, 1.4-5.6-7.8","response":"Đáp: Tâm hồn tôi nhảy mừng trong Chúa, Đấng Cứu độ tôi (c. 1a).","verses":["Xướng: Tâm hồn tôi nhảy mừng trong Chúa, và sức mạnh tôi được gia tăng trong Thiên Chúa tôi; miệng tôi mở rộng ra trước quân thù, vì tôi reo mừng việc Chúa cứu độ tôi.","Xướng: Chiếc cung những người chiến sĩ đã bị bẻ gãy, và người yếu đuối được mạnh khoẻ thêm. Những kẻ no nê phải làm thuê độ nhật, và những người đói khát khỏi phải làm thuê; người son sẻ thì sinh năm đẻ bảy, còn kẻ đông con nay phải héo tàn.","Xướng: Chúa làm cho chết và Chúa làm cho sống, Chúa đày xuống Âm phủ và Chúa dẫn ra. Chúa làm cho nghèo và làm cho giàu có, Chúa hạ xuống thấp và Chúa nâng lên cao.","Xướng: Từ nơi cát bụi, Chúa nâng người yếu đuối; từ chỗ phân nhơ, Chúa nhắc kẻ khó nghèo, để cho họ ngồi chung với các vương giả, và cho họ dự phần ngôi báu vinh quang."]},"alleluia":{"verse":"Lc 1,28","content":"Alleluia, Alleluia,  Alleluia.- Kính chào Maria đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ; Trinh Nữ được chúc phúc giữa các người phụ nữ. – Alleluia."},"gospel":{"excerpt":"Mt 12, 46-50","info":"Ai thi hành ý muốn của Cha tôi, Đấng ngự trên trời, người ấy là anh chị em tôi, là mẹ tôi.","title":"Tin Mừng Chúa Giêsu Kitô theo thánh Mátthêu","content":"Một hôm, khi Đức Giêsu đang nói với đám đông, thì có mẹ và anh em của Người đứng bên ngoài, tìm cách nói chuyện với Người. Có kẻ thưa Người rằng: Thưa Thầy, có mẹ và anh em Thầy đang đứng ngoài kia, tìm cách nói chuyện với Thầy. Người bảo kẻ ấy rằng: Ai là mẹ tôi? Ai là anh em tôi? Rồi Người giơ tay chỉ các môn đệ và nói: Đây là mẹ tôi, đây là anh em tôi. Vì phàm ai thi hành ý muốn của Cha tôi, Đấng ngự trên trời, người ấy là anh chị em tôi, là mẹ tôi.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("special-saints-12", {
+    "SPECIAL": {
+        "70312": {"firstReading":{"excerpt":"I Cr 9, 16-19. 22-23","info":"“Vô phúc cho tôi, nếu tôi không rao giảng Phúc Âm”","title":"Lời Chúa trong thư thứ nhất của Thánh Phaolô tông đồ gởi tín hữu Côrintô.","content":"Thưa anh em!\rĐối với tôi, rao giảng Tin mừng không phải là lý do để tự hào, mà đó là một sự cần thiết bắt buộc tôi phải làm. Khốn thân tôi nếu tôi không rao giảng Tin mừng. Tôi mà tự ý làm việc ấy, thì mới đáng Thiên Chúa thưởng công; còn nếu không tự ý, thì đó là một nhiệm vụ Thiên Chúa giao phó. Vậy đâu là phần thưởng của tôi? Đó là khi rao giảng Tin mừng, tôi rao giảng không công, chẳng hưởng quyền lợi Tin mừng dành cho tôi.\rPhải, tôi là một người tự do, không lệ thuộc vào ai, nhưng tôi đã trở thành nô lệ của mọi người, hầu chinh phục thêm được nhiều người. Tôi đã trở nên yêu mến với những người yếu, để chinh phục những người yếu. Tôi đã trở nên tất cả cho mọi người, để bằng mọi cách cứu được một số người. Vì Tin mừng, tôi làm tất cả những điều đó, để cùng được thông chia phần phúc của Tin mừng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1.2a, 2b-3. 7-8a. 10","response":"Đáp: Hãy tường thuật phép lạ Chúa giữa muôn dân.","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy ca mừng Chúađi, toàn thể địa cầu! Hãy ca mừng Chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa muôn dân và phép lạ Người ở nơi vạn quốc.","Xướng: Hãy kính tặng Chúa, hỡi người chư dân bá tánh, hãy kính tặng Chúa quyền thế với vinh quang, hãy kính tặng Chúa vinh quang xứng với danh Người. Hãy mang lễ vật, tiến vào hành lang nhà Chúa.","Xướng: Người giữ vững địa cầu cho khỏi lung lay. Người cai quản chư dân theo đường đoan chính."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia: Chúa phán: “Hãy đi dạy dỗ các dân tộc: Ta ở với các con mọi ngày cho đến tận thế”. Alleluia."},"gospel":{"excerpt":"Mc 16, 15-20","info":"“Các con hãy đi khắp thế gian, rao giảng Tin Mừng”.","title":"Tin mừng Chúa Giêsu Kitô theo thánh Maccô.","content":"Hôm ấy, Đức Giêsu hiện ra với Nhóm Mười một và nói với các ông rằng:\r“Anh em hãy đi khắp tứ phương thiên hạ, loan báo Tin mừng cho mọi loài thọ tạo. Ai tin và chịu phép rửa, sẽ được cứu độ; còn ai không tin, thì sẽ bị kết án. Đây là những dấu lạ sẽ đi theo những ai có lòng tin: nhân danh Thầy, họ sẽ trừ được quỷ, sẽ nói được những tiếng mới lạ. Họ sẽ cầm được rắn, và dù có uống nhằm thuốc độc, thì cũng chẳng sao. Và nếu họ đặt tay trên những người bệnh, thì những người này sẽ được mạnh khỏe”.\rNói xong, Chúa Giêsu được đưa lên trời và ngự bên hữu Thiên Chúa. Còn các Tông đồ thì ra đi rao giảng khắp nơi, có Chúa cùng hoạt động với các ông, và dùng những dấu lạ kèm theo mà xác nhận lời các ông rao giảng.","end":"Ðó là lời Chúa"}},
+        "70612": {"firstReading":{"excerpt":"1 Pr 5, 1-4","info":"“Là kỳ lão và nhân chứng cuộc khổ hình của Chúa Kitô”.","title":"Trích thư thứ nhất của Thánh Phê-rô Tông đồ.","content":"Anh em thân mến, tôi xin gởi lời khuyên bảo đến bậc Kỳ Lão trong anh em. Tôi là một Kỳ Lão như các ngài, là một nhân chứng cuộc khổ hình của Chúa Ki-tô, một kẻ sẽ được thông phần vinh quang sắp được tỏ bày. Hãy chăn dắt đoàn chiên Chúa nơi anh em, hãy trông nom nó, không phải bằng cách miễn cưỡng, mà là sẵn sàng theo thánh ý Chúa; không phải để trục lợi, mà là do tình nguyện; không phải như người chuyên chế lộng hành, nhưng phải nên gương sáng cho đoàn chiên. Và khi thủ lãnh các đấng chăn chiên xuất hiện, anh em sẽ nhận lãnh triều thiên vinh quang bất diệt.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3. 4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng. Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người.","Xướng: Dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":"Ga 15, 16","content":"alleluia! – Chúa phán: “Chính Thầy đã chọn các con, để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại”. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-9","info":"“Lúa chín đầy đồng mà thợ gặt thì ít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của Người. Các con hãy đi. Này Ta sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường.\r“Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ. Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: Nước Thiên Chúa đã đến gần các ngươi”.","end":"Ðó là lời Chúa"}},
+        "70812": {"firstReading":{"excerpt":"St 3, 9-15. 20","info":"“Ta sẽ đặt mối thù nghịch giữa miêu duệ mi và miêu duệ người phụ nữ”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa đã gọi A-đam và phán bảo ông rằng: “Ngươi đang ở đâu?” Ông đã thưa: “Con nghe thấy tiếng Ngài trong vườn địa đàng, nhưng con sợ hãi, vì con trần truồng và con đang ẩn núp”.\rChúa phán bảo ông rằng: “Ai đã chỉ cho ngươi biết rằng ngươi trần truồng, há chẳng phải tại ngươi đã ăn trái cây mà Ta cấm ngươi không được ăn ư?” A-đam thưa lại: “Người phụ nữ Chúa đã cho làm bạn với con, chính nàng đã cho con trái cây và con đã ăn”.\rVà Thiên Chúa phán bảo người phụ nữ rằng: “Tại sao ngươi đã làm điều đó?” Người phụ nữ thưa: “Con rắn đã lừa dối con và con đã ăn”.\rThiên Chúa phán bảo con rắn: “Bởi mi đã làm điều đó, mi sẽ vô phúc ở giữa mọi sinh vật và mọi muông thú địa cầu; mi sẽ bò đi bằng bụng, và mi sẽ ăn bùn đất mọi ngày trong đời mi. Ta sẽ đặt mối thù nghịch giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ người đó, người miêu duệ đó sẽ đạp nát đầu mi, còn mi thì sẽ rình cắn gót chân người”.\rVà A-đam đã gọi tên vợ mình là E-và: vì lẽ bà là mẹ của chúng sinh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Hãy ca tụng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu.","verses":["Xướng: Hãy ca tụng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Ít-ra-en.","Xướng: Khắp cùng bờ cõi trái đất, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu, hãy reo mừng Chúa, hãy hoan hỉ mừng vui, và đàn ca."]},"secondReading":{"excerpt":"Ep 1, 3-6. 11-12","info":"“Từ trước khi tạo thành vũ trụ, Thiên Chúa đã kén chọn chúng ta trong Ðức Ki-tô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Ê-phê-xô.","content":"Anh em thân mến, chúc tụng Thiên Chúa và là Cha của Chúa Giê-su Ki-tô, Chúa chúng ta: Người đã chúc phúc cho chúng ta bằng mọi phúc lộc thiêng liêng ở trên trời trong Ðức Ki-tô. Bởi Người đã kén chọn chúng ta trong Ðức Ki-tô từ trước khi tạo thành vũ trụ, hầu cho chúng ta được thánh thiện và tinh tuyền trước mặt Người. Trong tình thương, Người đã tiền định cho chúng ta được làm dưỡng tử đối với Người, qua Ðức Giê-su Ki-tô, theo như ý Người sở định, cho được ca ngợi vinh quang ân sủng của Người, ân sủng mà Người ban tặng chúng ta trong Con yêu quý của Người.\rCũng trong Ðức Ki-tô, chúng ta đã được chọn trước làm phần gia nghiệp, chiếu theo chương trình tiền định của Ðấng tác thành mọi sự theo như ý mình sở định, hầu cho chúng ta ca tụng vinh quang Người, chúng ta là những người đã đặt niềm hy vọng trước trong Ðức Ki-tô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"alleluia! – Kính chào Trinh Nữ Ma-ri-a đầy ơn phúc, Thiên Chúa ở cùng Trinh Nữ, Trinh Nữ có phúc hơn các người nữ. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Chào Trinh Nữ đầy ân sủng, Chúa ở cùng Trinh Nữ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, thiên thần Gáp-ri-en được Chúa sai đến một thành xứ Ga-li-lê-a, tên là Na-da-rét, đến với một trinh nữ đã đính hôn với một người tên là Giu-se, thuộc chi họ Ða-vít, trinh nữ ấy tên là Ma-ri-a. Thiên thần vào nhà trinh nữ và chào rằng: “Kính chào trinh nữ đầy ơn phúc, Thiên Chúa ở cùng trinh nữ, trinh nữ có phúc hơn các người nữ”. Nghe lời đó, trinh nữ bối rối và tự hỏi lời chào đó có ý nghĩa gì. Thiên thần liền thưa: “Ma-ri-a đừng sợ, vì đã được ơn nghĩa với Chúa. Này trinh nữ sẽ thụ thai, hạ sinh một Con trai và đặt tên là Giê-su. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ða-vít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Gia-cóp và triều đại Người sẽ vô tận!” Nhưng Maria liền thưa với Thiên Thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?” Thiên thần thưa: “Chúa Thánh Thần sẽ đến với trinh nữ và uy quyền Ðấng Tối Cao sẽ bao trùm trinh nữ. Vì thế Ðấng trinh nữ sinh ra sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, I-sa-ve chị họ trinh nữ cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”. Ma-ri-a liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và Thiên Thần cáo biệt trinh nữ.","end":"Ðó là lời Chúa"}},
+        "82412": {"firstReading":{"excerpt":"Is 62, 1-5","info":"“Ngươi đẹp lòng Chúa”.","title":"Trích sách Tiên tri Isaia.","content":"Vì Sion, tôi sẽ không im tiếng, và vì Giêrusalem, tôi sẽ không nghỉ ngơi cho đến khi Ðấng công chính xuất hiện như ánh sáng, Ðấng Cứu độ Sion đến như ngọn đuốc sáng ngời.\rMọi dân tộc sẽ thấy Người là Ðấng công chính của ngươi, và mọi đế vương sẽ thấy vinh hiển Người. Chính Chúa sẽ đặt cho ngươi một tên mới. Ngươi sẽ là triều thiên vinh hiển trong tay Chúa, và vương miện quyền bính trong tay Thiên Chúa ngươi. ngươi sẽ không còn gọi là kẻ bị ruồng bỏ, và đất ngươi sẽ không còn gọi là chốn hoang vu. Ngươi sẽ được gọi là “kẻ Ta ưa thích”, và đất ngươi sẽ được gọi là đất có dân cư, vì ngươi đẹp lòng Thiên Chúa và đất ngươi sẽ có dân cư.\r(Như) thanh niên sẽ ở cùng trinh nữ, con cái ngươi sẽ ở trong ngươi; (như) người chồng sẽ vui mừng vì vợ, Thiên Chúa ngươi cũng sẽ vui mừng vì ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 4-5. 16-17. 27 và 29","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời","verses":["Xướng: Ta đã ký minh ước cùng người Ta tuyển lựa, Ta đã thề cùng Ðavít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Phúc thay dân tộc biết hân hoan, lạy Chúa, họ tiến thân trong ánh sáng nhan Ngài. Họ luôn luôn mừng rỡ vì danh Chúa, và tự hào vì đức công minh Ngài.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha con, là Thiên Chúa và Ðá Tảng cứu độ của con”. Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì."]},"secondReading":{"excerpt":"Cv 13, 16-17. 22-25","info":"“Thánh Phaolô làm chứng về Chúa Kitô, con vua Ðavít”.","title":"Trích sách Tông đồ Công vụ.","content":"Phaolô đến Antiôkia thuộc Pisiđia, vào hội đường, đứng lên, giơ tay ra hiệu cho mọi người yên lặng rồi nói: “Hỡi người Israel và những kẻ kính sợ Thiên Chúa, hãy nghe đây. Thiên Chúa Israel đã chọn Tổ phụ chúng ta, Người đã thăng tiến dân Người khi họ còn cư ngụ trong nước Ai-cập, và Người ra tay mạnh mẽ đưa cha ông chúng ta ra khỏi nước ấy.\r“Sau khi loại bỏ Saolê, Chúa đã đặt Ðavít lên làm vua dân Người, để chứng nhận điều đó, chính Người đã phán: “Ta đã gặp được Ðavít, con của Giêsê, người vừa ý Ta, người sẽ thi hành mọi ý muốn của Ta”.\r“Bởi dòng dõi Ðavít, theo lời hứa, Thiên Chúa ban cho Israel Ðức Giêsu làm Ðấng Cứu Ðộ, Ðấng mà Gioan đã báo trước, khi ông đến rao giảng phép rửa thống hối cho toàn dân Israel. Khi Gioan hoàn tất hành trình, ông tuyên bố: “Tôi không phải là người mà anh em lầm tưởng; nhưng đây, Người sẽ đến sau tôi mà tôi không đáng cởi dây giày dưới chân Người”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia.- Ngày mai tội lỗi trần gian sẽ được xoá bỏ, và Ðấng Cứu Thế sẽ ngự trị trên chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 1, 1-25","info":"“Dòng dõi Chúa Giêsu Kitô, con vua Ðavít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Sách gia phả của Chúa Giêsu Kitô, con vua Ðavít, con của Abraham. Abraham sinh Isaac; Isaac sinh Giacóp; Giacóp sinh Giuđa ; Phares sinh (bởi bà Thamar) và các anh em người. Giuđa sinh Phares và Zara Esrom; Esrom sinh Aram; Aram sinh Aminadab; Aminadab sinh Naasson; Naasson sinh Salmon; Salmon sinh Booz do bà Rahab; Booz sinh Giobed do bà Rút. Giobed sinh Giêsê; Giêsê sinh vua Ðavít.\rÐavít sinh Salomon do bà vợ của Uria; Salomon sinh Robo-am; Roboam sinh Abia; Abia sinh Asa; Asa sinh Giosaphát; Giosaphát sinh Gioram; Gioram sinh Ozia; Ozia sinh Gioatham; Gioatham sinh Achaz; Achaz sinh Ezekia; Ezekia sinh Manas-se; Manasse sinh Amos; Amos sinh Giosia; Giosia sinh Giêconia và các em trong thời lưu đày ở Babylon.\rSau thời lưu đày ở Babylon, Giêconia sinh Salathiel; Salathiel sinh Zorababel; Zorababel sinh Abiud; Abiud sinh Eliakim; Eliakim sinh Azor; Azor sinh Sađoc; Sađoc sinh Akim; Akim sinh Eliud; Eliud sinh Eleazar; Eleazar sinh Mathan; Mathan sinh Giacóp; Giacóp sinh Giuse, là bạn của Maria, mẹ của Chúa Giêsu gọi là Ðức Kitô.\rVậy, từ Abraham đến Ðavít có tất cả mười bốn đời, từ Ðavít đến cuộc lưu đày ở Babylon có mười bốn đời, và từ cuộc lưu đày ở Babylon cho đến Chúa Kitô có mười bốn đời.\rChúa Kitô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, bà đã thụ thai bởi phép Chúa Thánh Thần. Giuse, bạn của bà là người công chính, không muốn tố cáo bà, nên định tâm lìa bỏ bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì thiên thần hiện đến cùng ông trong giấc mơ và bảo:\r“Hỡi Giuse con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình, vì Maria mang thai là bởi phép Chúa Thánh Thần; bà sẽ hạ sinh một con trai mà ông đặt tên là Giêsu, vì chính Người sẽ cứu dân mình khỏi tội”. Tất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng: “Này đây một trinh nữ sẽ thụ thai, hạ sinh một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên Chúa-ở-cùng-chúng-ta”.\rKhi tỉnh dậy, Giuse đã thực hiện như lời thiên thần Chúa truyền. Ông tiếp nhận bạn mình, nhưng không ăn ở với nhau, cho đến khi Maria sinh con trai đầu lòng, thì Giuse đặt tên con trẻ là Giêsu.\r Đó là Lời Chúa.\r .\rHoặc đọc bài vắn này: Mt 1, 18-25\r“Maria sẽ hạ sinh một con trai mà ông đặt tên là Giêsu”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\rChúa Kitô giáng sinh trong hoàn cảnh sau đây:\rMẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, bà đã thụ thai bởi phép Chúa Thánh Thần. Giuse bạn của bà là người công chính, không muốn tố cáo bà, nên định tâm lìa bỏ bà cách kín đáo. Nhưng đang khi định tâm như vậy, thì thiên thần hiện đến cùng ông trong giấc mơ và bảo:\r“Hỡi Giuse con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình: vì Maria mang thai là bởi phép Chúa Thánh Thần; bà sẽ hạ sinh một con trai mà ông đặt tên là Giêsu: vì chính Người sẽ cứu dân mình khỏi tội”. Tất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng tiên tri phán xưa rằng:\r“Này đây một trinh nữ sẽ thụ thai, hạ sinh một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên-Chúa-ở-cùng-chúng-ta”.\rKhi tỉnh dậy, Giuse đã thực hiện như lời thiên thần Chúa truyền. Ông tiếp nhận bạn mình, nhưng không ăn ở với nhau, cho đến khi Maria sinh con trai đầu lòng, thì Giuse đặt tên con trẻ là Giêsu.","end":"Ðó là lời Chúa"}},
+        "82512": {"firstReading":{"excerpt":"Is 52, 7-10","info":"“Khắp cùng bờ cõi trái đất sẽ nhìn thấy ơn cứu độ của Thiên Chúa chúng ta”.","title":"Trích sách Tiên tri Isaia.","content":"Ðẹp thay chân người rao tin trên núi, người rao tin thái bình, người rao tin mừng, người rao tin cứu độ, nói với Sion rằng: Thiên Chúa ngươi sẽ thống trị!\rTiếng của người canh gác của ngươi đã cất lên. Họ sẽ cùng nhau ca ngợi rằng: Chính mắt họ sẽ nhìn xem, khi Chúa đem Sion trở về. Hỡi Giêrusalem hoang tàn, hãy vui mừng, hãy cùng nhau ca ngợi! Vì Chúa đã an ủi dân Người, đã cứu chuộc Giêru-salem. Chúa đã chuẩn bị ra tay thánh thiện Người trước mặt chư dân; và khắp cùng bờ cõi trái đất sẽ nhìn xem ơn cứu độ của Thiên Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","response":"Ðáp: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta","verses":["Xướng:  Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng:  Chúa đã công bố ơn cứu độ của Người; trước mặt chư dân, Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng:  Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca!","Xướng:  Hãy ca mừng Chúa với cây đàn cầm, với cây đàn cầm với điệu nhạc du dương, cùng với tiếng kèn râm ran, tiếng tù và rúc, hãy hoan hô trước thiên nhan Chúa là Vua."]},"secondReading":{"excerpt":"Dt 1, 1-6","info":"“Chúa đã phán dạy chúng ta qua người Con”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Thuở xưa, nhiều lần và dưới nhiều hình thức, Thiên Chúa đã phán dạy cha ông chúng ta qua các tiên tri. Trong những ngày sau hết đây, Ngài đã phán dạy chúng ta qua Người Con mà Ngài đã đặt làm vị thừa kế vạn vật, và cũng do bởi Người Con mà Ngài đã tác thành vũ trụ. Nguyên vốn là phản ảnh sự vinh quang và là hình tượng bản thể Ngài, Người Con đó nâng giữ vạn vật bằng lời quyền năng của mình, quét sạch tội lỗi chúng ta, và ngự bên hữu Ðấng Oai Nghiêm trên cõi trời cao thẳm. Tên Người cao trọng hơn các thiên thần bao nhiêu, thì Người cũng vượt trên các thiên thần bấy nhiêu.\rPhải, vì có bao giờ Thiên Chúa đã phán bảo với một vị nào trong các thiên thần rằng: “Con là thái tử của Cha, hôm nay Cha đã hạ sinh Con”? Rồi Chúa lại phán: “Ta sẽ là Cha Người, và Người sẽ là Con Ta”. Và khi ban Con Một mình cho thế gian, Chúa lại phán rằng: “Tất cả các thiên thần Chúa hãy thờ lạy Người!”","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia,  Alleluia. -Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 1, 1-18","info":"“Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng ta”.","title":"Bắt đầu Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Từ nguyên thuỷ đã có Ngôi Lời, và Ngôi Lời vẫn ở với Thiên Chúa, và Ngôi Lời vẫn là Thiên Chúa. Người vẫn ở với Thiên Chúa ngay từ nguyên thủy.\rMọi vật đều do Người làm nên, và không có Người, thì chẳng vật chi đã được tác thành trong mọi cái đã được tác thành. Ở nơi Người vẫn có sự sống, và sự sống là sự sáng của nhân loại; sự sáng chiếu soi trong u tối, và u tối đã không tiếp nhận sự sáng.\rCó một người được Thiên Chúa sai đến, tên là Gioan. Ông đã đến nhằm việc chứng minh, để ông chứng minh về sự sáng, hầu cho mọi người nhờ ông mà tin. Chính ông không phải là sự sáng, nhưng đến để chứng minh về sự sáng.\rVẫn có sự sáng thực, sự sáng soi tỏ cho hết mọi người sinh vào thế gian này. Người vẫn ở trong thế gian, và thế gian đã do Người tác tạo, và thế gian đã không nhận biết Người. Người đã đến nhà các gia nhân Người, và các gia nhân Người đã không tiếp nhận Người. Nhưng phàm bao nhiêu kẻ đã tiếp nhận Người, thì Người cho họ được quyền trở nên con Thiên Chúa, tức là cho những ai tin vào danh Người. Những người này không do khí huyết, không do ý muốn xác thịt, cũng không do ý muốn của đàn ông, nhưng do Thiên Chúa mà sinh ra.\rVà Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng tôi, và chúng tôi đã nhìn thấy vinh quang của Người, vinh quang Người nhận được bởi Chúa Cha, như của người Con Một đầy ân sủng và chân lý.\rGioan làm chứng về Người khi tuyên xưng rằng: “Ðây là Ðấng tôi tiên báo. Người đến sau tôi, nhưng xuất hiện trước tôi, vì Người có trước tôi”.\rChính do sự sung mãn Người mà chúng ta hết thảy tiếp nhận ơn này tới ơn khác. Bởi vì Chúa ban Lề luật qua Môsê, nhưng ơn thánh và chân lý thì ban qua Ðức Giêsu Kitô. Không ai nhìn thấy Thiên Chúa, nhưng chính Con Một Chúa, Ðấng ngự trong Chúa Cha, sẽ mạc khải cho chúng ta. \r Đó là Lời Chúa.\t .\rHoặc đọc bài vắn này: Ga 1, 1-5. 9-14\r“Ngôi Lời đã làm Người và ở cùng chúng ta”\rBắt đầu Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.\rTừ nguyên thuỷ đã có Ngôi Lời, và Ngôi Lời vẫn ở với Thiên Chúa, và Ngôi Lời vẫn là Thiên Chúa. Người vẫn ở với Thiên Chúa ngay từ nguyên thủy.\rMọi vật đều do Người làm nên, và không có Người, thì chẳng vật chi đã được tác thành trong mọi cái đã được tác thành. Ở nơi Người vẫn có sự sống, và sự sống là sự sáng của nhân loại; sự sáng chiếu soi trong u tối, và u tối đã không tiếp nhận sự sáng.\rVẫn có sự sáng thực, sự sáng soi tỏ cho hết mọi người sinh vào thế gian này. Người vẫn ở trong thế gian, và thế gian đã do Người tác tạo, và thế gian đã không nhận biết Người. Người đã đến nhà các gia nhân Người, và các gia nhân Người đã không tiếp nhận Người. Nhưng phàm bao nhiêu kẻ đã tiếp nhận Người, thì Người cho họ được quyền trở nên con Thiên Chúa, tức là cho những ai tin vào danh Người. Những người này không do khí huyết, không do ý muốn xác thịt, cũng không do ý muốn của đàn ông, nhưng do Thiên Chúa mà sinh ra.\rVà Ngôi Lời đã hoá thành nhục thể, và Người đã cư ngụ giữa chúng tôi, và chúng tôi đã nhìn thấy vinh quang của Người, vinh quang Người nhận được bởi Chúa Cha, như của người Con Một đầy ân sủng và chân lý.","end":"Ðó là lời Chúa"}},
+        "71212US": {"firstReading":{"excerpt":"Kh 11, 19a; 12, 1-6a, 10ab","info":"“Một người nữ mặc áo mặt trời, chân đạp mặt trăng”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Ðền thờ Thiên Chúa trên trời đã mở ra. Và một điềm lạ vĩ đại xuất hiện trên trời: một người nữ mặc áo mặt trời, chân đạp mặt trăng, đầu đội triều thiên mười hai ngôi sao: Bà đang mang thai, kêu la chuyển bụng, và đau đớn sinh con.\rLại một điềm lạ khác xuất hiện trên trời: một con rồng đỏ khổng lồ, có bảy đầu, mười sừng, và trên bảy đầu, đội bảy triều thiên. Ðuôi nó kéo đi một phần ba tinh tú trên trời mà ném xuống đất. Con rồng đứng trước mặt người nữ sắp sinh con, để khi Bà sinh con ra, thì nuốt lấy đứa trẻ.\rBà sinh được một con trai, Ðấng sẽ dùng roi sắt mà cai trị muôn dân: Con Bà được mang về cùng Thiên Chúa, đến tận ngai của Người. Còn Bà thì trốn lên rừng vắng, ở đó Bà được Thiên Chúa dọn sẵn cho một nơi.\rVà tôi nghe có tiếng lớn trên trời phán rằng: “Nay sự cứu độ, quyền năng, vương quyền của Thiên Chúa chúng ta, và uy quyền của Ðức Kitô của Người đã được thực hiện”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 10bc. 11. 12ab. 16","response":"Ðáp: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng","verses":["Xướng: Hoàng Hậu đứng bên hữu Ðức Vua, mặc đồ trang điểm vàng ròng lộng lẫy.","Xướng: Xin hãy nghe, thưa Nương Tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ.","Xướng: Ðể Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của Cô Nương, hãy phục vụ Người.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua."]},"alleluia":{"verse":"Lc 1, 45","content":"alleluia! – Hỡi Trinh Nữ Ma-ri-a, phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện. – Alleluia."},"gospel":{"excerpt":"Lc 1, 39-56","info":"“Ðấng toàn năng đã làm cho tôi những sự trọng đại: Người nâng cao những người phận nhỏ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy, Maria chỗi dậy, vội vã ra đi lên miền núi, đến một thành xứ Giuđêa. Bà vào nhà ông Dacaria và chào bà Elisabeth, và khi bà Elisabeth nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Elisabeth được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng:\r“Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc. Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm? Vì này tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.\rVà Maria nói: “Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Chúa đã đoái nhìn đến phận hèn tớ nữ của Chúa. Này từ nay muôn thế hệ sẽ khen tôi có phước, vì Ðấng toàn năng đã làm cho tôi những sự trọng đại, và Danh Ngài là thánh. Lòng thương xót Chúa trải qua đời nọ đến đời kia dành cho những người kính sợ Chúa. Chúa đã vung cánh tay ra oai thần lực, dẹp tan những ai thần trí kiêu căng. Chúa lật đổ người quyền thế xuống khỏi ngai vàng và nâng cao những người phận nhỏ. Chúa đã cho người đói khát no đầy ơn phước, và để người giàu có trở về tay không. Chúa săn sóc Israel tôi tớ Chúa, bởi nhớ lại lòng thương xót của Ngài. Như Chúa đã phán cùng các tổ phụ chúng tôi, cho Abraham và dòng dõi người đến muôn đời”.\rMaria ở lại với bà Elisabeth độ ba tháng, đoạn Người trở về nhà mình.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,9 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-advent", {
+    "SUNDAY": {
+        "1010": {"A":{"firstReading":{"excerpt":"Is 2, 1-5","info":"“Thiên Chúa quy tụ các dân tộc trong nước Người, để hưởng bình an đời đời”.","title":"Trích sách Tiên tri Isaia.","content":"Ðiềm Isaia con trai của Amos đã thấy về Giuđa và Giêru-salem. Ðiềm sẽ xảy ra trong những ngày sau hết, là núi của nhà Chúa được xây đắp trên đỉnh các núi, và núi ấy sẽ cao hơn các đồi, và các dân nước sẽ đổ về đó.\rNhiều dân tộc sẽ đến và nói rằng: “Hãy đến, chúng ta hãy lên núi Chúa và lên nhà Thiên Chúa của Giacóp. Người sẽ dạy chúng ta đường lối của Người, và chúng ta sẽ đi theo ý định của Người”; vì luật pháp sẽ ban ra từ Sion, và lời Chúa sẽ phát ra từ Giêrusalem.\rNgười sẽ xét xử các dân ngoại và khiển trách nhiều dân tộc. Họ sẽ lấy gươm mà rèn nên lưỡi cày, lấy giáo rèn nên lưỡi liềm. Nước này không còn tuốt gươm ra đánh nước kia nữa; người ta cũng sẽ không còn thao luyện để chiến đấu nữa. Hỡi nhà Giacóp, hãy đến, và chúng ta hãy bước đi trong ánh sáng của Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5. 6-7. 8-9","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa” (c. 1).","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”. Hỡi Giêrusalem, chân chúng tôi đang đứng nơi cửa thành rồi.","Xướng: Giêrusalem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc, các bộ lạc của Chúa tiến lên.","Xướng: Theo luật pháp của Israel, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ðavít.","Xướng: Hãy nguyện cầu cho Giêrusalem được thanh bình, nguyện cho những kẻ yêu mến ngươi được an ninh. Nguyện cho trong thành luỹ được bình an, và trong các lâu đài của ngươi yên ổn.","Xướng: Vì anh em và bằng hữu của tôi, tôi nguyện chúc: bình an cho ngươi! Vì nhà Chúa là Thiên Chúa chúng ta, tôi khẩn cầu cho ngươi những điều thiện hảo."]},"secondReading":{"excerpt":"Rm 13, 11-14","info":"“Phần rỗi chúng ta gần đến”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, biết rằng thời này là lúc chúng ta phải thức dậy. Vì giờ đây, phần rỗi chúng ta gần đến, hơn lúc chúng ta mới tin đạo. Ðêm sắp tàn, ngày gần đến. Chúng ta hãy từ bỏ những hành vi ám muội và mang khí giới ánh sáng. Chúng ta hãy đi đứng đàng hoàng như giữa ban ngày, không ăn uống say sưa, không chơi bời dâm đãng, không tranh chấp ganh tị. Nhưng hãy mặc lấy Chúa Giêsu Kitô, và chớ lo lắng thoả mãn những dục vọng xác thịt.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Tv 84, 8","content":"Alleluia, Alleluia – Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, và ban ơn cứu rỗi cho chúng con. – Alleluia."},"gospel":{"excerpt":"Mt 24, 37-44","info":"“Hãy tỉnh thức để sẵn sàng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Trong thời ông Noe xảy ra thế nào, thì lúc Con Người đến cũng như vậy. Cũng như trong những ngày trước đại hồng thuỷ, người ta ăn uống, dựng vợ gả chồng, mãi đến chính ngày ông Noe vào tàu mà người ta cũng không ngờ, thình lình đại hồng thuỷ đến và cuốn đi tất cả, thì khi Con Người đến, cũng sẽ xảy ra như vậy. Khi ấy sẽ có hai người đàn ông đang ở ngoài đồng, một người được tiếp nhận, một người bị bỏ rơi. Và có hai người đàn bà đang xay bột, một người được tiếp nhận, còn người kia bị bỏ rơi. Vậy hãy tỉnh thức, vì không biết giờ nào Chúa các con sẽ đến.\r“Nhưng các con phải biết điều này, là nếu chủ nhà biết giờ nào kẻ trộm đến, hẳn ông ta sẽ canh phòng, không để cho đào ngạch khoét vách nhà mình. Vậy các con cũng phải sẵn sàng, vì lúc các con không ngờ, Con Người sẽ đến”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 63, 16b-17; 64, 1. 3b-8","info":"“Xin Chúa băng qua các tầng trời mà ngự xuống”.","title":"Trích sách Tiên tri I-sai-a.","content":"Lạy Chúa, Chúa là Cha và là Ðấng Cứu Chuộc chúng con: danh Chúa đã có từ muôn đời. Lạy Chúa, tại sao Chúa để chúng con đi lạc xa đường Chúa, và làm cho tâm hồn chúng con trở nên chai đá, không còn biết kính sợ Chúa nữa? Vì các tôi tớ Chúa, các chi tộc thừa hưởng gia nghiệp Chúa, xin hãy đoái nhìn lại.\rXin Chúa băng qua các tầng trời mà ngự xuống: các núi đồi rung chuyển trước tôn nhan Chúa. Chúa đã ngự xuống và các núi đồi rung chuyển trước tôn nhan Chúa. Ðó là việc từ xưa đến nay chưa từng có ai nghe thấy; lạy Chúa, không tai nào nghe thấy không mắt nào nhìn thấy một chúa nào khác ngoài Chúa đã dành những hồng ân cho những ai trông đợi Chúa. Chúa đã đón tiếp kẻ hân hoan thi hành công lý, và nhớ đến Chúa khi đi trong đường lối Chúa.\rNày Chúa thịnh nộ, vì chúng con đã phạm tội. Chúng con đã luôn luôn ở trong tình trạng tội lỗi, thì làm sao sẽ được cứu rỗi? Tất cả chúng con đều đầy vết nhơ, và công nghiệp chúng con đều như chiếc áo dơ bẩn.\rVà không còn ai kêu cầu thánh danh Chúa, không còn ai tỉnh thức để bám lấy Chúa. Chúa đã ẩn nấp không cho chúng con nhìn thấy nữa, và Chúa đã phó mặc chúng con cho quyền lực tội lỗi. Tuy nhiên, lạy Chúa, Chúa là Cha chúng con, chúng con là đất sét, còn Chúa là người thợ gốm, tất cả chúng con đều do tay Chúa làm nên.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16. 18-19","response":"Ðáp: Lạy Chúa là Thiên Chúa chúng con, xin cho chúng con được phục hồi, xin tỏ thiên nhan hiền từ Chúa ra, hầu cho chúng con được ơn cứu sống","verses":["Xướng: Lạy Ðấng chăn dắt Ít-ra-en, xin hãy lắng tai! Chúa ngự trên các Vệ Binh Thần, xin hiện ra trong sáng láng. Xin thức tỉnh quyền năng của Chúa, và ngự tới để cứu độ chúng con.","Xướng: Lạy Chúa thiên binh, xin thương trở lại, tự trời cao xin nhìn coi và thăm viếng vườn nho này. Xin bảo vệ vườn nho mà tay hữu Ngài đã cấy, bảo vệ ngành nho mà Ngài đã củng cố cho mình.","Xướng: Xin Chúa ra tay bang trợ người ở bên tay hữu Chúa, con người mà Chúa đã củng cố cho mình. Chúng con sẽ không còn rời xa Chúa nữa, Chúa cho chúng con được sống, và chúng con ca tụng danh Ngài."]},"secondReading":{"excerpt":"1 Cr 1, 3-9","info":"“Chúng ta mong chờ Ðức Giê-su Ki-tô, Chúa chúng ta, tỏ mình ra”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, chúc cho anh em đầy ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Ðức Giê-su Ki-tô.\rTôi hằng cảm tạ Chúa thay cho anh em, vì ơn đã ban cho anh em trong Chúa Giê-su Ki-tô. Vì chưng, trong Ngài, anh em được tràn đầy mọi ơn: ơn ngôn ngữ và ơn hiểu biết, đúng như Chúa Kitô đã minh chứng nơi anh em, khiến anh em không còn thiếu ơn nào nữa trong khi mong chờ Ðức Giê-su Ki-tô, Chúa chúng ta, tỏ mình ra. Cũng chính Ngài sẽ ban cho anh em bền vững đến cùng, không có gì đáng trách trong ngày Ðức Giê-su Ki-tô, Chúa chúng ta, ngự đến. Thiên Chúa là Ðấng Trung Tín, đã kêu mời anh em hiệp nhất với Con của Người, là Ðức Giê-su Ki-tô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Tv 84, 8","content":"Alleluia, Alleluia – Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, và ban ơn cứu rỗi cho chúng con. – Alleluia."},"gospel":{"excerpt":"Mc 13, 33-37","info":"“Các con hãy tỉnh thức, vì các con không biết lúc nào chủ nhà trở về”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Các con hãy coi chừng, hãy tỉnh thức và cầu nguyện, vì các con không biết lúc đó là lúc nào. Ví như người đi phương xa, để nhà cửa lại, trao quyền hành cho các đầy tớ, mỗi người một việc, và căn dặn người giữ cửa lo tỉnh thức. Vậy các con hãy tỉnh thức, vì các con không biết lúc nào chủ nhà trở về, hoặc là chiều tối, hoặc là nửa đêm, hoặc là lúc gà gáy, hay ban sáng, kẻo khi ông trở về thình lình, bắt gặp các con đang ngủ. Ðiều Ta bảo cho các con, thì Ta bảo cho tất cả mọi người là: Hãy tỉnh thức!”","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Gr 33, 14-16","info":"“Ta sẽ làm nảy sinh cho Ðavít một chồi công chính”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ðây lời Chúa phán: Ðã đến ngày Ta sẽ thực hiện tin mừng Ta loan báo về nhà Israel và nhà Giuđa. Trong những ngày đó và trong thời gian đó, Ta sẽ làm nảy sinh cho Ðavít một chồi công chính, Ngài sẽ xét xử và thi hành công lý trong xứ sở. Trong những ngày đó, Giuđa sẽ được cứu thoát, Giêrusalem sẽ sống yên ổn. Và đây là tên người ta sẽ gọi Ngài: “Thiên Chúa, Ðấng Công Chính của chúng tôi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 8-9. 10 và 14","response":"Ðáp: Lạy Chúa, con vươn linh hồn lên tới Chúa (c. 1b).","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa; xin dạy bảo con về lối bước của Ngài. Xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài.","Xướng: Tất cả đường nẻo Chúa là ân sủng và trung thành, dành cho những ai giữ minh ước và điều răn Chúa. Chúa thân mật với những ai tôn sợ Chúa, và tỏ cho họ biết lời minh ước của Ngài."]},"secondReading":{"excerpt":"1 Tx 3, 12 – 4, 2","info":"“Xin Chúa làm cho lòng anh em nên dũng cảm khi Chúa Kitô đến”.","title":"Trích thư thứ I của Thánh Phaolô Tông đồ gửi tín hữu Thêxa-lônica.","content":"Anh em thân mến, xin Chúa gia tăng và ban cho anh em tràn đầy lòng thương yêu nhau, và thương yêu mọi người như chúng tôi đối với anh em, để lòng anh em được bền vững trên đường thánh thiện, không có gì đáng trách trước mặt Thiên Chúa là Cha chúng ta, trong ngày Ðức Giêsu Kitô, Chúa chúng ta, ngự đến cùng với tất cả các Thánh. Amen.\rAnh em thân mến, ngoài ra, tôi còn van nài anh em trong Chúa Giêsu điều này, là như anh em được chúng tôi bảo cho biết phải sống thế nào cho đẹp lòng Chúa, anh em đang sống như vậy, xin anh em cứ tiến thêm nữa. Vì anh em biết rõ huấn thị chúng tôi nhân danh Chúa Giêsu đã ban cho anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Tv 84, 8","content":"Alleluia, Alleluia – Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, và ban ơn cứu rỗi cho chúng con. – Alleluia."},"gospel":{"excerpt":"Lc 21, 25-28, 34-36","info":"“Giờ cứu rỗi các con đã gần đến”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Sẽ có những điềm lạ trên mặt trời, mặt trăng và các ngôi sao; dưới đất, các dân tộc buồn sầu lo lắng, vì biển gầm sóng vỗ. Người ta sợ hãi kinh hồn chờ đợi những gì sẽ xảy đến trong vũ trụ, vì các tầng trời sẽ rung chuyển. Lúc đó, người ta sẽ thấy trên đám mây, Con Người hiện đến đầy quyền năng và uy nghi cao cả. Khi những điều đó bắt đầu xảy đến, các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến.\rCác con hãy giữ mình, kẻo lòng các con ra nặng nề, vì chè chén say sưa và lo lắng việc đời, mà ngày đó thình lình đến với các con, như chiếc lưới chụp xuống mọi người sống trên mặt đất. Vậy các con hãy tỉnh thức và cầu nguyện luôn, để có thể thoát khỏi những việc sắp xảy đến và đứng vững trước mặt Con Người!”","end":"Ðó là lời Chúa"}}},
+        "1020": {"A":{"firstReading":{"excerpt":"Is 11, 1-10","info":"“Chúa lấy sự công minh mà xét xử người nghèo khó”.","title":"Trích sách Tiên tri Isaia.","content":"Ngày ấy, từ gốc Giêsê sẽ đâm ra một chồi và cũng từ gốc ấy sẽ đơm lên một bông hoa. Trên bông hoa ấy, thần linh của Thiên Chúa sẽ ngự xuống, tức thần khôn ngoan và thông suốt, thần chỉ dẫn và sức mạnh, thần hiểu biết và đạo đức, và thần ấy sẽ làm cho Ngài biết kính sợ Thiên Chúa.\rNgài không xét đoán theo như mắt thấy, cũng không lên án theo điều tai nghe, nhưng Ngài sẽ lấy đức công minh mà xét xử những người nghèo khó, và lấy lòng chính trực mà bênh đỡ kẻ hiền lành trong xứ sở. Ngài sẽ dùng lời như gậy đánh người áp chế, và sẽ dùng tiếng nói giết chết kẻ hung ác. Ngài lấy đức công bình làm dây thắt lưng, và lấy sự trung tín làm đai lưng.\rSói sống chung với chiên con; beo nằm chung với dê; bò con, sư tử và chiên sẽ ở chung với nhau; con trẻ sẽ dẫn dắt các thú ấy. Bò (cái) và gấu (cái) sẽ ăn chung một nơi, các con của chúng nằm nghỉ chung với nhau; sư tử cũng như bò đều ăn cỏ khô. Trẻ con còn măng sữa sẽ vui đùa kề hang rắn lục, và trẻ con vừa thôi bú sẽ thọc tay vào hang rắn độc. Các thú dữ ấy không làm hại ai, không giết chết người nào khắp núi thánh của Ta. Bởi vì thế gian sẽ đầy dẫy sự hiểu biết Chúa, như nước tràn đầy đại dương.\rNgày ấy gốc Giêsê đứng lên như cờ hiệu cho muôn dân. Các dân sẽ khẩn cầu Ngài, và mộ Ngài sẽ được vinh quang.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 7-8. 12-13. 17","response":"Ðáp: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người (c. 7).","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người cho tới khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất.","Xướng: Vì người sẽ giải thoát kẻ nghèo khó khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu thoát mạng sống người cùng khổ.","Xướng: Chúc tụng danh người đến muôn đời, danh người còn tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca khen người."]},"secondReading":{"excerpt":"Rm 15, 4-9","info":"“Chúa Kitô cứu rỗi hết mọi người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, những gì đã viết ra là có ý để giáo huấn chúng ta, hầu nhờ Thánh Kinh thêm sức và an ủi, chúng ta được cậy trông. Xin Thiên Chúa, nguồn kiên tâm và an ủi, ban cho anh em biết thông cảm với nhau theo gương Chúa Giêsu Kitô, để anh em đồng thanh tôn vinh Chúa là Cha Ðức Giêsu Kitô, Chúa chúng ta.\rVì thế, anh em hãy tiếp rước nhau như chính Chúa Giêsu đã tiếp nhận anh em, để làm rạng danh Thiên Chúa. Vì chúng tôi quả quyết với anh em: để chứng tỏ sự chân thật của Thiên Chúa, Ðức Giêsu Kitô đã phục vụ những người chịu phép cắt bì, hầu xác nhận lời hứa cùng các tổ phụ. Còn dân ngoại, họ tôn thờ Thiên Chúa vì lòng nhân từ Người, như lời chép rằng: “Vì vậy, lạy Chúa, con sẽ cao rao Chúa và sẽ ca tụng danh Chúa giữa các dân ngoại”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 3, 4. 6","content":"Alleluia, Alleluia – Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng; và mọi người sẽ thấy ơn cứu độ của Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 3, 1-12","info":"“Hãy ăn năn thống hối, vì nước trời gần đến”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Ngày ấy, Gioan Tẩy Giả đến giảng trong hoang địa xứ Giuđêa rằng: “Hãy ăn năn thống hối, vì nước trời gần đến”. Chính ông là người mà Tiên tri Isaia đã tiên báo: “Có tiếng kêu trong hoang địa rằng: Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng”.\rBởi vì chính Gioan mặc áo lông lạc đà, thắt lưng bằng dây da thú, ăn châu chấu và uống mật ong rừng. Bấy giờ dân thành Giêrusalem, khắp xứ Giuđêa và các miền lân cận sông Giođan tuôn đến với ông, thú tội và chịu phép rửa do tay ông trong sông Giođan.\rThấy có một số đông người biệt phái và văn nhân cũng đến xin chịu phép rửa, thì Gioan bảo rằng: “Hỡi nòi rắn độc, ai bảo các ngươi trốn lánh cơn thịnh nộ hòng đổ xuống trên đầu các ngươi. Hãy làm việc lành cho xứng với sự thống hối. Chớ tự phụ nghĩ rằng: tổ tiên chúng ta là Abraham. Vì ta bảo cho các ngươi hay: Thiên Chúa quyền năng có thể khiến những hòn đá trở nên con cái Abraham. Ðây cái rìu đã để sẵn dưới gốc cây. Cây nào không sinh trái tốt, sẽ phải chặt đi và bỏ vào lửa. Phần tôi, tôi lấy nước mà rửa các ngươi, để các ngươi được lòng sám hối; còn Ðấng sẽ đến sau tôi có quyền năng hơn tôi và tôi không đáng xách giày Người. Chính Ðấng ấy sẽ rửa các ngươi trong Chúa Thánh Thần và lửa. Ngài cầm nia trong tay mà sảy lúa của Ngài, rồi thu lúa vào kho, còn rơm thì đốt đi trong lửa không hề tắt”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 40, 1-5. 9-11","info":"“Hãy dọn đường Chúa”.","title":"Trích sách Tiên tri I-sai-a.","content":"Chúa ngươi phán: Hỡi dân Ta, hãy an tâm, hãy an tâm! Hãy nói với Giê-ru-sa-lem, và kêu gọi rằng: Thời nô lệ đã chấm dứt, tội lỗi đã được ân xá, Chúa đã ban ơn nhiều gấp hai lần tội lỗi.\rVà có tiếng kêu trong hoang địa rằng: “Hãy dọn đường Chúa, hãy sửa đường Chúa chúng ta trong hoang địa cho ngay thẳng. Hãy lấp mọi hố sâu và hãy bạt mọi núi đồi; con đường cong queo hãy làm cho ngay thẳng, con đường gồ ghề hãy san cho bằng. Và vinh hiển Chúa sẽ xuất hiện, mọi người sẽ được thấy vinh quang Thiên Chúa, vì Ngài đã phán.\rHỡi ngươi là kẻ đưa tin mừng cho Si-on, hãy trèo lên núi cao. Hỡi ngươi là kẻ đưa tin mừng cho Giê-ru-sa-lem, hãy mạnh dạn cất tiếng. Hãy cất tiếng cao, đừng sợ! Hãy nói cho các dân thành thuộc chi họ Giu-đa rằng: Ðây Thiên Chúa các ngươi, đây Chúa là Thiên Chúa các ngươi sẽ đến trong quyền lực; cánh tay Người sẽ thống trị. Người mang theo những phần thưởng chiến thắng và đưa đi trước những chiến lợi phẩm. Người chăn dắt đoàn chiên Người như mục tử. Người ẵm chiên con trên cánh tay, ôm ấp chúng vào lòng, và nhẹ tay dẫn dắt những chiên mẹ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, và ban ơn cứu rỗi cho chúng con Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng tôi.","verses":["Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau; đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Người."]},"secondReading":{"excerpt":"2 Pr 3, 8-14","info":"“Chúng ta mong đợi trời mới đất mới”.","title":"Trích thơ thứ hai của Thánh Phê-rô Tông đồ.","content":"Anh em thân mến, có một điều anh em không thể không biết là một ngày đối với Chúa như ngàn năm, và ngàn năm như một ngày. Không phải Chúa chậm trễ thi hành lời hứa của Người, như có vài người lầm tưởng, nhưng vì anh em, Người hành động nhẫn nại, Người không muốn ai phải hư mất, nhưng muốn mọi người ăn năn sám hối. Ngày của Chúa sẽ đến như kẻ trộm. Trong ngày đó, các tầng trời qua đi trong những tiếng rung chuyển mạnh, ngũ hành đều cháy tiêu tan, trái đất cùng mọi công trình kiến tạo đều bị thiêu huỷ.\rVì mọi vật ấy tiêu tan đi, nên anh em càng phải sống thánh thiện và đạo đức biết bao, khi anh em mong chờ và thôi thúc ngày Chúa đến, ngày mà các tầng trời bốc cháy tiêu tan, và ngũ hành bị thiêu rụi. Nhưng theo lời Người hứa, chúng ta mong đợi trời mới đất mới, trong đó công lý sẽ ngự trị.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 3, 4. 6","content":"Alleluia, Alleluia – Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng; và mọi người sẽ thấy ơn cứu độ của Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 1, 1-8","info":"“Hãy dọn đường Chúa cho ngay thẳng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khởi đầu Phúc Âm của Ðức Giê-su Ki-tô Con Thiên Chúa. Như có lời Tiên tri I-sai-a chép rằng: Ðây Ta sai Thiên Thần của Ta đến trước mặt ngươi để dọn đường cho ngươi. Có tiếng kêu trong hoang địa rằng: “Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng”.\rGio-an Tẩy Giả xuất hiện trong hoang địa, rao giảng phép rửa sám hối cầu ơn tha tội. Dân cả miền Giu-đê-a và Giê-ru-sa-lem tuôn đến với người, thú tội và chịu phép rửa trong sông Gio-đan.\rLúc đó Gio-an mặc áo lông lạc đà, thắt lưng bằng dây da thú, ăn châu chấu và uống mật ong rừng. Người rao giảng rằng: “Ðấng đến sau tôi, quyền năng hơn tôi, tôi không đáng cúi xuống cởi dây giày Người. Phần tôi, tôi lấy nước mà rửa các ngươi, còn Ngài, Ngài sẽ rửa các ngươi trong Chúa Thánh Thần”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Br 5, 1-9","info":"“Chúa sẽ tỏ bày huy hoàng của Chúa trong ngươi”.","title":"Trích sách Tiên tri Barúc.","content":"Hỡi Giêrusalem, hãy cởi áo tang chế và sầu khổ của ngươi, hãy mặc lấy sự huy hoàng và vinh quang đời đời của Chúa mà Chúa ban cho ngươi. Chúa sẽ mặc cho ngươi áo công lý, và đặt vương miện vĩnh cửu trên đầu ngươi. Vì chưng, Chúa sẽ tỏ bày huy hoàng của Chúa trong ngươi cho mọi kẻ trần gian. Vì Thiên Chúa sẽ đời đời gọi tên ngươi là Hoà bình trong công lý và Vinh dự trong hiếu nghĩa.\rHỡi Giêrusalem, hãy chỗi dậy, đứng nơi cao, và nhìn về hướng đông. Hãy nhìn con cái ngươi từ đông sang tây họp lại theo lệnh của Ðấng Thánh, họ hân hoan thấy Chúa nhớ đến họ. Họ bị quân thù dẫn đi xa ngươi, nhưng Chúa đã đem họ về cho ngươi trong vinh dự như các hoàng tử. Vì Chúa đã ra lệnh triệt hạ mọi núi cao và mọi đồi từ ngàn xưa, lấp đầy những hố sâu, để trái đất được bằng phẳng, hầu Israel vững vàng bước đi cao rao vinh quang Thiên Chúa.\rTheo lệnh Chúa, những cánh rừng, những cây có hương thơm, đã cho Israel núp bóng, vì Chúa sẽ hân hoan lấy lòng từ bi và công bình của Người dẫn dắt Israel đến ánh vinh quang.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","response":"Ðáp: Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan (c. 3).","verses":["Xướng: Khi Chúa đem những người Sion bị bắt trở về, chúng tôi dường như người đang mơ, bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: Chúa đã đối xử với họ cách đại lượng. Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan.","Xướng: Lạy Chúa, xin hãy đổi số phận chúng con, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo. Họ trở về trong hân hoan, vai mang những bó lúa."]},"secondReading":{"excerpt":"Pl 1, 4-6. 8-11","info":"“Anh em hãy ăn ở trong sạch và không đáng trách, cho đến ngày của Ðức Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, luôn luôn trong mọi lời cầu nguyện của tôi, tôi hân hoan khẩn cầu cho tất cả anh em, vì anh em đã thông phần vào việc rao giảng Phúc Âm từ ngày đầu cho tới nay. Tôi tin tưởng rằng Ðấng đã khởi đầu việc lành đó trong anh em, cũng sẽ hoàn tất cho đến ngày của Ðức Giêsu Kitô.\rVì Thiên Chúa làm chứng cho tôi rằng: tôi yêu mến tất cả anh em với tâm tình của Ðức Giêsu Kitô. Ðiều tôi cầu nguyện bây giờ là lòng bác ái của anh em ngày càng gia tăng trong sự thông biết và am hiểu, để anh em xác định những điều quan trọng hơn, để anh em được trong sạch và không đáng trách cho đến ngày của Ðức Kitô, anh em được Ðức Giêsu Kitô ban cho dư đầy hoa quả công chính, hầu tôn vinh và ngợi khen Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 3, 4. 6","content":"Alleluia, Alleluia – Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng; và mọi người sẽ thấy ơn cứu độ của Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 3, 1-6","info":"“Mọi người sẽ thấy ơn cứu độ của Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ðời hoàng đế Tibêriô năm thứ mười lăm, Phongxiô Philatô làm toàn quyền xứ Giuđêa, Hêrôđê làm thủ hiến xứ Galilêa, còn em là Philipphê làm thủ hiến xứ Ituria và Tracônitêđê; Lysania làm thủ hiến xứ Abilêna; Anna và Caipha làm thượng tế; có lời Chúa đã kêu gọi Gioan, con Giacaria, trong hoang địa.\rÔng liền đi khắp miền sông Giođan, rao giảng phép rửa sám hối cầu ơn tha tội, như lời chép trong sách Tiên tri Isaia rằng: “Có tiếng kêu trong hoang địa: Hãy dọn đường Chúa, hãy sửa đường Chúa cho ngay thẳng, hãy lấp mọi hố sâu và hãy bạt mọi núi đồi; con đường cong queo hãy làm cho ngay thẳng, con đường gồ ghề hãy san cho bằng. Và mọi người sẽ thấy ơn cứu độ của Thiên Chúa”.","end":"Ðó là lời Chúa"}}},
+        "1030": {"A":{"firstReading":{"excerpt":"Is 35, 1-6a. 10","info":"“Chính Thiên Chúa sẽ đến và cứu độ chúng tôi”.","title":"Trích sách Tiên tri Isaia.","content":"Nơi hoang địa cằn cỗi sẽ vui mừng, cõi tịch liêu sẽ hân hoan, và nở bông dường như khóm huệ, sẽ nảy chồi non và hoan hỉ vui mừng, và khen ngợi rằng: Ðã ban cho Israel được vinh quang của xứ Liban, huy hoàng của Carmel và Saron. Chính chúng sẽ nhìn thấy vinh quang của Chúa, và huy hoàng của Thiên Chúa chúng ta.\rHãy làm cho mạnh mẽ những bàn tay rời rã, và hãy làm cho tăng sức những đầu gối mỏi mòn. Phải nói cho những người nhát đảm rằng: Hãy can đảm lên, đừng sợ hãi! Kìa Thiên Chúa các ngươi sẽ đem lại điều báo ứng; chính Thiên Chúa sẽ đến và cứu độ các ngươi.\rBấy giờ mắt người mù sẽ nhìn thấy, và tai những người điếc sẽ được nghe. Bấy giờ người què sẽ nhảy nhót như nai, những người được Chúa cứu chuộc, sẽ trở về, và đến Sion với lời khen ngợi; và trên đầu họ mang hoan hỉ triền miên, họ sẽ được vui mừng khoái trá, họ sẽ không còn đau buồn; rên siết sẽ trốn xa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","response":"Ðáp: Lạy Chúa, xin đến cứu độ chúng con (x. Is 35, 4).","verses":["Xướng: Thiên Chúa trả lại quyền lợi cho người bị áp bức, và ban cho những kẻ đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội. ","Xướng: Thiên Chúa mở mắt những kẻ đui mù; Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục. Thiên Chúa yêu quý các bậc hiền nhân; Thiên Chúa che chở những khách kiều cư.","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời. Sion hỡi, Ðức Thiên Chúa của ngươi sẽ làm vua tự đời này sang đời khác."]},"secondReading":{"excerpt":"Gc 5, 7-10","info":"“Hãy vững lòng, vì Chúa gần đến”.","title":"Trích thư Thánh Giacôbê Tông đồ.","content":"Anh em hãy kiên nhẫn chờ ngày Chúa đến. Kìa xem người nông phu trông đợi hoa màu quý báu của đồng ruộng, kiên nhẫn đợi chờ mưa xuân và mưa thu. Vậy anh em hãy bền chí và vững tâm, vì Chúa đã gần đến. Anh em đừng kêu trách lẫn nhau, để khỏi phải bị kết án. Này đây quan toà đã đứng trước cửa. Anh em hãy học gương kiên nhẫn và chịu đựng trong gian khổ của các tiên tri, là những người đã nói nhân danh Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Is 61, 1 (x. Lc 4, 12)","content":"Alleluia, Alleluia – Thánh Thần Chúa ngự trên tôi. Người đã sai tôi đem tin mừng cho người nghèo khó. – Alleluia."},"gospel":{"excerpt":"Mt 11, 2-11","info":"“Thầy có phải là Ðấng phải đến chăng, hay chúng tôi còn phải đợi một Ðấng nào khác?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Gioan ở trong ngục nghe nói về các việc làm của Chúa Kitô. Ông sai môn đệ đến thưa Ngài rằng: “Thầy có phải là Ðấng phải đến chăng, hay chúng tôi còn phải đợi Ðấng nào khác?” Chúa Giêsu bảo họ: “Hãy về thuật lại cho Gioan những gì các ông nghe và thấy: người mù được thấy, người què đi được, người phong hủi được khỏi, người điếc được nghe, người chết sống lại, và tin mừng được loan báo cho kẻ nghèo khó; và phúc cho ai không vấp ngã vì Ta”.\rKhi những người được sai đến đã đi rồi, Chúa Giêsu liền nói với đám đông về Gioan rằng: “Các ngươi đi xem gì ở hoang địa? Một cây sậy phất phơ trước gió ư? Vậy các ngươi đi xem gì? Một người ăn mặc lả lướt ư? Nhưng những người ăn mặc lả lướt thì ở nơi cung điện nhà vua. Vậy các ngươi đi xem gì? Một tiên tri ư? Phải, Ta bảo các ngươi, và còn hơn một tiên tri nữa. Vì có lời chép về ông rằng: “Này Ta sai sứ thần Ta đi trước mặt con, để dọn đường sẵn cho con”. Ta bảo thật các ngươi, trong các con cái người nữ sinh ra, chưa từng xuất hiện một ai cao trọng hơn Gioan Tẩy Giả; nhưng người nhỏ nhất trong nước trời còn cao trọng hơn ông”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 61, 1-2a. 10-11","info":"“Tôi hớn hở vui mừng trong Chúa”.","title":"Trích sách Tiên tri I-sai-a.","content":"Thánh Thần Chúa ngự trên tôi: vì Chúa đã xức dầu cho tôi; Người đã sai tôi đem tin mừng cho người nghèo khó, băng bó những tâm hồn đau thương, báo tin ân xá cho những kẻ bị lưu đày, phóng thích cho những tù nhân, công bố năm hồng ân của Thiên Chúa.\rTôi hớn hở vui mừng trong Chúa, và lòng tôi hoan hỉ trong Chúa tôi, vì Người đã mặc cho tôi áo phần rỗi, và choàng áo công chính cho tôi, như tân lang đầu đội triều thiên, như tân nương trang sức bằng ngọc bảo. Như đất đâm chồi, như vườn nảy lộc, Chúa cũng làm phát sinh công chính và lời ca tụng trước mặt muôn dân.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1, 46-48. 49-50. 53-54","response":"Ðáp: Linh hồn tôi nhảy mừng trong Chúa.","verses":["Xướng: Ðức Ma-ri-a nói: Linh hồn tôi ngợi khen Chúa, và thần trí tôi hoan hỉ trong Thiên Chúa, Ðấng Cứu Ðộ tôi, vì Người đã nhìn đến phận hèn tớ nữ Người; thực từ đây, thiên hạ muôn đời sẽ khen tôi có phước.","Xướng: Vì Ðấng đã làm cho tôi những điều trọng đại, Người quyền năng, và danh Người là thánh. Ðức từ bi Người từ đời nọ tới đời kia dành cho những ai kính sợ Người.","Xướng: Kẻ đói khát, Người cho no đầy thiện hảo; bọn giàu sang, Người đuổi về tay không. Chúa đã nhận săn sóc Israel tôi tớ Chúa, bởi nhớ lại lòng từ bi của Người."]},"secondReading":{"excerpt":"1 Tx 5, 16-24","info":"“Thần trí, linh hồn và thể xác anh em được gìn giữ cho tới ngày Chúa đến”.","title":"Trích thơ thứ nhất của Thánh Phao-lô Tông đồ gởi tín hữu Thê-xa-lô-ni-ca.","content":"Anh em thân mến, anh em hãy vui mừng luôn. Hãy cầu nguyện không ngừng. Trong mọi việc, hãy cảm tạ Chúa. Vì đó là thánh ý Thiên Chúa về tất cả anh em trong Chúa Giê-su Ki-tô. Ðừng dập tắt Thánh Thần; đừng khinh khi các lời tiên tri, nhưng hãy nghiệm xét mọi sự, điều gì tốt hãy giữ lại. Hãy tránh xa sự dữ dưới mọi hình thức.\rXin chính Thiên Chúa bình an thánh hoá anh em toàn diện, để thần trí, linh hồn và thể xác anh em được gìn giữ toàn vẹn trong ngày Ðức Giê-su Ki-tô Chúa chúng ta ngự đến. Ðấng đã kêu gọi anh em, chính Người là Ðấng Trung Tín. Chính Người sẽ thực hiện.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Is 61, 1 (x. Lc 4, 18)","content":"Alleluia, Alleluia – Thánh Thần Chúa ngự trên tôi. Người đã sai tôi đem tin mừng cho người nghèo khó. – Alleluia."},"gospel":{"excerpt":"Ga 1, 6-8. 19-28","info":"“Giữa các ngươi có một Ðấng mà các ngươi không biết”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Có người đã được Chúa sai đến, tên là Gio-an. Ông đến như chứng nhân để làm chứng về sự sáng, hầu mọi người nhờ ông mà tin. Ông không phải là sự sáng, nhưng ông chỉ làm chứng về sự sáng. Và đây là chứng của Gio-an, khi những người Do-thái từ Giê-ru-sa-lem sai các vị tư tế và các thầy Lê-vi đến hỏi ông: “Ông là ai?” Ông liền tuyên xưng, ông không chối, ông tuyên xưng rằng: “Tôi không phải là Ðấng Ki-tô”. Họ liền hỏi: “Thế là gì? Ông có phải là Ê-li-a chăng?” Gio-an trả lời: “Tôi không phải là Ê-li-a”. – “Hay ông là một đấng tiên tri?” Gio-an đáp: “Không phải”.\rHọ liền bảo: “Vậy ông là ai, để chúng tôi trả lời cho những người sai chúng tôi. Ông tự xưng là ai?” Gio-an đáp: “Tôi là tiếng kêu trong hoang địa: Hãy sửa cho ngay đường Chúa đi, như tiên tri I-sai-a đã loan báo”.\rVà có những người thuộc nhóm biệt phái cũng được sai đến. Họ hỏi Gio-an rằng: “Nếu ông không phải là Ðức Ki-tô, cũng không phải là Ê-li-a hay một tiên tri, vậy tại sao ông làm phép rửa?” Gio-an trả lời: “Tôi làm phép rửa trong nước; nhưng giữa các ngươi, có Ðấng mà các ngươi không biết. Ðấng ấy sẽ đến sau tôi, nhưng chính Ðấng ấy đã có trước tôi và tôi không xứng đáng cởi dây giày cho Người”. Việc này xảy ra tại Bê-ta-ni-a, bên kia sống Gio-đan, nơi Gio-an làm phép rửa.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Xp 3, 14-18a","info":"“Chúa sẽ hân hoan vì người”.","title":"Trích sách Tiên tri Xôphônia.","content":"Hỡi thiếu nữ Sion, hãy cất tiếng ca! Hỡi Israel, hãy hoan hỉ! Hỡi thiếu nữ Giêrusalem, hãy hân hoan và nhảy mừng hết tâm hồn! Chúa đã rút lại lời kết án ngươi và đã đẩy lui quân thù của ngươi. Vua Israel là Chúa ở giữa ngươi, ngươi không còn sợ khổ cực nữa.\rTrong ngày đó, ở Giêrusalem thiên hạ sẽ nói rằng: Hỡi Sion, đừng sợ, tay ngươi sẽ hết rã rời! Chúa là Thiên Chúa ngươi, là Ðấng mạnh mẽ ở giữa ngươi, chính Người cứu thoát ngươi. Người hân hoan vui mừng vì ngươi. Người cảm động yêu thương ngươi, và vì ngươi, Người sung sướng reo mừng. Những kẻ hư hỏng bỏ lề luật, Ta sẽ quy tụ họ lại, vì họ cũng là con cái ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","response":"Ðáp: Hãy nhảy mừng và ca ngợi, vì ở giữa ngươi có Ðấng Thánh của Israel thật cao cả (c. 6).","verses":["Xướng: Ðây Thiên Chúa, Ðấng Cứu Chuộc tôi. Tôi sẽ tin tưởng mà hành động, tôi không run sợ: vì Thiên Chúa là sức mạnh của tôi và là Ðấng tôi ca ngợi. Người trở nên phần rỗi của tôi.","Xướng: Các ngươi sẽ hân hoan múc nước nơi suối Ðấng cứu độ: Hãy tung hô Chúa, hãy kêu cầu thánh danh Người, hãy công bố cho các dân tộc biết các kỳ công của Người, hãy nhớ rằng danh Người rất cao trọng.","Xướng: Hãy hát mừng Chúa, vì Người đã làm những việc cả thể, hãy công bố việc này trên khắp địa cầu. Hỡi dân Sion, hãy nhảy mừng và ca ngợi, vì ở giữa ngươi, có Ðấng Thánh của Israel thật cao cả."]},"secondReading":{"excerpt":"Pl 4, 4-7","info":"“Chúa gần đến”.","title":"Trích thơ Thánh Phaolô Tông đồ gởi tín hữu Philipphê.","content":"Anh em thân mến, anh em hãy vui luôn trong Chúa! Tôi nhắc lại một lần nữa: anh em hãy vui lên! Ðức ôn hoà của anh em phải sáng tỏ trước mặt mọi người, vì Chúa đã gần đến. Anh em đừng lo lắng gì hết, nhưng trong khi cầu nguyện, anh em hãy trình bày những ước vọng lên cùng Chúa, bằng kinh nguyện và lời cầu xin đi đôi với lời cảm tạ. Và bình an của Thiên Chúa vượt mọi trí hiểu, sẽ giữ gìn lòng trí anh em trong Chúa Giêsu Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Is 61, 1 (x. Lc 1, 18)","content":"Alleluia, Alleluia – Thánh Thần Chúa ngự trên tôi. Người đã sai tôi đem tin mừng cho người nghèo khó. – Alleluia."},"gospel":{"excerpt":"Lc 3, 10-18","info":"“Còn chúng tôi, chúng tôi phải làm gì?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, dân chúng hỏi Gioan rằng: “Vậy chúng tôi phải làm gì?” Ông trả lời: “Ai có hai áo, hãy cho người không có; ai có của ăn, cũng hãy làm như vậy”. Cả những người thu thuế cũng đến xin chịu phép rửa và thưa rằng: “Thưa Thầy, chúng tôi phải làm gì?” Gioan đáp: “Các ngươi đừng đòi gì quá mức đã ấn định cho các ngươi”. Các quân nhân cũng hỏi: “Còn chúng tôi, chúng tôi phải làm gì?” Ông đáp: “Ðừng ức hiếp ai, đừng cáo gian ai; các ngươi hãy bằng lòng với số lương của mình”.\rVì dân chúng đang mong đợi và mọi người tự hỏi trong lòng về Gioan rằng: “Có phải chính ông là Ðức Kitô chăng?” Gioan trả lời cho mọi người rằng: “Tôi lấy nước mà rửa các ngươi, nhưng Ðấng quyền năng hơn tôi sẽ đến, – tôi không xứng đáng cởi dây giày cho Người, – chính Người sẽ rửa các ngươi trong Chúa Thánh Thần và lửa. Người cầm nia trong tay mà sảy sân lúa của Người, rồi thu lúa vào kho, còn rơm thì đốt đi trong lửa không hề tắt!” Ông còn khuyên họ nhiều điều nữa khi rao giảng tin mừng cho dân chúng.","end":"Ðó là lời Chúa"}}},
+        "1040": {"A":{"firstReading":{"excerpt":"Is 7, 10-14","info":"“Này trinh nữ sẽ thụ thai”.","title":"Bài trích sách Tiên tri Isaia.","content":"Ngày ấy, Chúa phán bảo vua Achaz rằng: “Hãy xin Thiên Chúa, Chúa ngươi, một dấu ở dưới lòng đất hay ở trên trời cao!” Nhưng vua Achaz thưa: “Tôi sẽ không xin, vì tôi không dám thử thách Chúa”.\rVà Isaia nói: “Vậy hãy nghe đây, hỡi nhà Ðavít, làm phiền lòng người ta chưa đủ ư, mà còn muốn làm phiền lòng Thiên Chúa nữa? Vì thế, chính Chúa sẽ cho các ngươi một dấu: này đây một trinh nữ sẽ thụ thai, hạ sinh một con trai, và tên con trẻ sẽ gọi là Emmanuel, nghĩa là Thiên Chúa ở cùng chúng ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Chúa ngự qua, chính Ngài là Hoàng Ðế hiển vinh","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Ngài xây dựng nó trên biển cả, và Ngài giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Ngài? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Giacóp."]},"secondReading":{"excerpt":"Rm 1, 1-7","info":"“Ðức Giêsu, thuộc dòng dõi vua Ðavít, là Con Thiên Chúa”.","title":"Bài trích thơ Thánh Phaolô Tông đồ gởi tín hữu Rôma.","content":"Phaolô, tôi tớ Chúa Giêsu Kitô, đã được kêu gọi làm Tông đồ và đã được tuyển chọn để rao giảng tin mừng Thiên Chúa. Tin mừng ấy Thiên Chúa đã hứa trước bằng lời các tiên tri trong Kinh Thánh về Con của Người; Người đã sinh ra theo huyết nhục bởi dòng dõi Ðavít, đã được tiền định là Con Thiên Chúa quyền năng theo Thánh Thần, đã sống lại từ cõi chết. Ðó chính là Ðức Giêsu Kitô, Chúa chúng ta, nhờ Người, chúng tôi đã nhận ân sủng và chức vụ tông đồ, để nhân danh Người, chúng tôi quy phục mọi dân tộc về Ðức Tin, trong đó có cả anh em là những người mà Chúa Giêsu đã kêu gọi.\rTôi chúc tất cả mọi người trong thành Rôma được Thiên Chúa yêu mến và kêu gọi nên thánh, được ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Ðức Giêsu Kitô là Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 1, 21","content":"Alleluia, Alleluia – Này đây trinh nữ sẽ mang thai, hạ sinh một con trai, và người ta sẽ gọi tên Người là Emmanuel, nghĩa là Thiên Chúa-ở-cùng-chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 1, 18-24","info":"“Chúa Giêsu sinh ra bởi Ðức Maria, đính hôn với Thánh Giuse con vua Ðavít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Chúa Kitô giáng sinh trong hoàn cảnh sau đây: Mẹ Người là Maria đính hôn với Giuse, trước khi về chung sống với nhau, đã thụ thai bởi phép Chúa Thánh Thần. Giuse, bạn của bà, là người công chính, không muốn tố cáo bà, định tâm lìa bỏ bà cách kín đáo.\rNhưng đang khi định tâm như vậy thì thiên thần Chúa hiện đến cùng ông trong giấc mơ và bảo: “Hỡi Giuse, con vua Ðavít, đừng ngại nhận Maria về nhà làm bạn mình, vì Maria mang thai là bởi phép Chúa Thánh Thần: bà sẽ hạ sinh một con trai mà ông sẽ đặt tên là Giêsu: vì chính Người sẽ cứu dân mình khỏi tội”.\rTất cả sự kiện này đã được thực hiện để làm trọn lời Chúa dùng miệng Tiên tri phán xưa rằng: “Này đây một trinh nữ sẽ mang thai và hạ sinh một con trai, người ta sẽ gọi tên con trẻ là Emmanuel, nghĩa là Thiên-Chúa-ở-cùng-chúng-ta”.\rKhi tỉnh dậy, Giuse đã thực hiện như lời thiên thần Chúa truyền: ông tiếp nhận bạn mình, nhưng không ăn ở với nhau cho đến khi Maria sinh con trai đầu lòng, thì Giuse đặt tên con trẻ là Giêsu.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"2 Sm 7, 1-5. 8b-12. 14a. 16","info":"“Nước Ðavít sẽ tồn tại muôn đời trước mặt Chúa”.","title":"Bài trích sách Sa-mu-en quyển thứ hai.","content":"Khi ấy vua Ða-vít ngự trong đền và khi Chúa cho ông được bằng yên tư bề, khỏi mọi quân thù chung quanh, thì vua nói với tiên tri Na-than rằng: “Ông thấy không? Ta ở trong nhà làm bằng gỗ bá hương, còn hòm bia Chúa thì để ở trong lều bằng da ư?” Na-than trả lời với vua rằng: “Ðiều vua nghĩ trong lòng, vua hãy đi thực hiện, vì Chúa ở với vua”. Nhưng xảy ra là, đêm ấy, có lời Chúa phán cùng Na-than rằng: “Hãy nói với Ða-vít tôi tớ Ta rằng: “Chúa phán thế này: Có phải ngươi sẽ xây cất cho Ta một ngôi nhà để ở chăng?”\r“Ta đã đem ngươi ra khỏi đồi cỏ, lúc ngươi còn theo sau đoàn chiên, để ngươi trở nên thủ lãnh Ít-ra-en dân Ta, và Ta ở cùng ngươi trong mọi nơi ngươi đi. Ta đã tiêu diệt mọi quân thù trước mặt ngươi, và Ta sẽ làm cho danh ngươi nên cao trọng như danh các bậc vĩ nhân trên mặt đất. Ta sẽ đặt chỉ một nơi cho Ít-ra-en dân ta, và Ta sẽ vun trồng nó tại đó. Nó sẽ ở đó và sẽ không còn bị khuấy rối nữa. Con cái sự dữ sẽ không còn đến đàn áp nó như xưa nữa, như ngày Ta thiết lập các vị Thẩm phán trên Ít-ra-en dân Ta. Ta sẽ cho ngươi được bằng yên khỏi mọi quân thù, và Chúa phán trước cho ngươi biết là Chúa sẽ tạo lập cho ngươi một nhà. Nhà của ngươi và triều đại ngươi sẽ vững chắc đến muôn đời trước mặt Ta; ngôi báu ngươi sẽ vững bền mãi mãi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 2-3. 4-5. 27 và 29","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời (x. c. 2a).","verses":["Xướng: Con sẽ ca ngợi tình thương của Chúa tới muôn đời, qua mọi thế hệ, miệng con loan truyền lòng trung thành Chúa, vì Ngài đã phán: “Tình thương của Ta đứng vững muôn đời”; trên cõi trời cao, Ngài thiết lập lòng trung tín.","Xướng: Ta đã ký minh ước cùng người ta tuyển lựa, Ta đã thề cùng Ða-vít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha con, và Thiên Chúa là Ðá Tảng cứu độ của con”. Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì."]},"secondReading":{"excerpt":"Rm 16, 25-27","info":"“Mầu nhiệm được giữ kín từ đời đời, nay được tỏ bày”.","title":"Bài trích thơ Thánh Phao-lô Tông đồ gởi tín hữu Rô-ma.","content":"Anh em thân mến, kính chúc Ðấng có quyền năng làm cho anh em được vững vàng theo Phúc Âm tôi loan truyền, và lời giảng dạy của Chúa Giê-su Ki-tô, theo mạc khải mầu nhiệm được giữ kín từ đời đời, nhưng nay được tỏ bày, và nhờ các tiên tri ghi chép theo lệnh của Thiên Chúa hằng hữu, được thông tri cho các Dân Ngoại, để dẫn đưa họ về vâng phục đức tin.\rKính chúc Thiên Chúa, Ðấng khôn ngoan độc nhất, nhờ Chúa Giê-su Ki-tô, kính chúc Người vinh quang muôn đời! Amen.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 1, 38","content":"Alleluia, Alleluia – Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền. – Alleluia."},"gospel":{"excerpt":"Lc 1, 26-38","info":"“Này Trinh Nữ sẽ thụ thai và sẽ sinh một con trai”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, thiên thần Gáp-ri-en được Chúa sai đến một thành xứ Ga-li-lê-a, tên là Na-da-rét, đến với một trinh nữ đã đính hôn với một người tên là Giu-se, thuộc chi họ Ða-vít, trinh nữ ấy tên là Ma-ri-a.\rThiên thần vào nhà trinh nữ và chào rằng: “Kính chào trinh nữ đầy ơn phước, Thiên Chúa ở cùng trinh nữ”. Nghe lời đó, trinh nữ bối rối và tự hỏi lời chào đó có ý nghĩa gì.\rThiên thần liền thưa: “Ma-ri-a đừng sợ, vì đã được ơn nghĩa với Chúa. Này trinh nữ sẽ thụ thai, hạ sinh một con trai và đặt tên là Giê-su. Người sẽ nên cao trọng và được gọi là Con Ðấng Tối Cao. Thiên Chúa sẽ ban cho Người ngôi báu Ða-vít tổ phụ Người. Người sẽ cai trị đời đời trong nhà Gia-cóp, và triều đại Người sẽ vô tận”.\rNhưng Ma-ri-a thưa với thiên thần: “Việc đó xảy đến thế nào được, vì tôi không biết đến người nam?”\rThiên thần thưa: “Chúa Thánh Thần sẽ đến với trinh nữ và uy quyền Ðấng Tối Cao sẽ bao trùm trinh nữ. Vì thế, Ðấng trinh nữ sinh ra sẽ là Ðấng Thánh và được gọi là Con Thiên Chúa. Và này, I-sa-ve chị họ trinh nữ cũng đã thụ thai con trai trong lúc tuổi già và nay đã mang thai được sáu tháng, người mà thiên hạ gọi là son sẻ; vì không có việc gì mà Chúa không làm được”.\rMa-ri-a liền thưa: “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. Và thiên thần cáo biệt trinh nữ.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Mk 5, 2-5a","info":"“Nơi ngươi sẽ xuất hiện Ðấng thống trị Israel”.","title":"Bài trích sách Tiên tri Mikha.","content":"Ðây lời Chúa phán: “Hỡi Bêlem Ephrata, ngươi nhỏ nhất trong trăm ngàn phần đất Giuđa, nhưng nơi ngươi sẽ xuất hiện một Ðấng thống trị Israel, và nguồn gốc Người có từ nguyên thuỷ, từ muôn đời. Vì thế, Người sẽ bỏ dân Người cho đến khi một người nữ phải sinh, sẽ sinh con. Số còn lại trong anh em Người, sẽ trở về với con cái Israel. Người sẽ đứng vững và chăn dắt trong sức mạnh của Chúa, trong thánh danh cao cả của Chúa là Thiên Chúa của Người. Và họ sẽ trở về, vì bấy giờ Người sẽ nên cao trọng cho đến tận cùng trái đất. Vì vậy, Người sẽ là chính sự bình an”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16. 18-19","response":"Ðáp: Lạy Chúa là Thiên Chúa chúng con, xin cho chúng con được phục hồi, xin tỏ thiên nhan hiền từ Chúa ra, hầu cho chúng con được ơn cứu sống (c. 4).","verses":["Xướng: Lạy Ðấng chăn dắt Israel, xin hãy lắng tai nghe! Chúa ngự trên Vệ Binh Thần, xin hiện ra trong sáng láng. Xin thức tỉnh quyền năng của Chúa, và ngự tới để cứu độ chúng con.","Xướng: Lạy Chúa thiên binh, xin thương trở lại, từ trời cao xin nhìn coi và thăm viếng vườn nho này. Xin bảo vệ vườn nho mà tay hữu Ngài đã cấy, bảo vệ ngành mà Ngài đã củng cố cho mình.","Xướng: Xin Chúa ra tay bang trợ người ở bên tay hữu Chúa, con người mà Chúa đã củng cố cho mình. Chúng con sẽ không còn rời xa Chúa nữa. Chúa cho chúng con được sống, và chúng con ca tụng danh Người."]},"secondReading":{"excerpt":"Dt 10, 5-10","info":"“Này đây con đến để thi hành thánh ý Chúa”.","title":"Bài trích thơ gởi tín hữu Do-thái.","content":"Anh em thân mến, khi đến trong thế gian, Chúa Giêsu phán: “Chúa đã không muốn của hy tế và của lễ hiến dâng, nhưng đã tạo nên cho tôi một thể xác. Chúa không nhận của lễ toàn thiêu và của lễ đền tội. Nên tôi nói: ‘Lạy Chúa, này con đến để thi hành thánh ý Chúa, như đã nói về con ở đoạn đầu cuốn sách'”.\rSách ấy bắt đầu như thế này: “Của lễ hy tế, của lễ hiến dâng, của lễ toàn thiêu và của lễ đền tội, Chúa không muốn cũng không nhận, mặc dầu được hiến dâng theo lề luật. Ðoạn Người nói tiếp: Lạy Chúa, này đây con đến để thi hành thánh ý Chúa”. Như thế đã bãi bỏ điều trước để thiết lập điều sau. Chính bởi thánh ý đó mà chúng ta được thánh hoá nhờ việc hiến dâng Mình Chúa Giêsu Kitô một lần là đủ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 1, 38","content":"Alleluia, Alleluia “Này tôi là tôi tớ Chúa, tôi xin vâng như lời Thiên thần truyền”. – Alleluia."},"gospel":{"excerpt":"Lc 1, 39-45","info":"“Bởi đâu tôi được Mẹ Thiên Chúa đến viếng thăm tôi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ngày ấy, Maria chỗi dậy, vội vã ra đi tiến lên miền núi, đến một thành xứ Giuđêa. Bà vào nhà ông Dacaria và chào bà Isave. Và khi bà Isave nghe lời chào của Maria, thì hài nhi nhảy mừng trong lòng bà, và bà Isave được đầy Chúa Thánh Thần, bà kêu lớn tiếng rằng: “Bà được chúc phúc giữa các người phụ nữ, và Con lòng Bà được chúc phúc! Bởi đâu tôi được Mẹ Chúa tôi đến viếng thăm tôi? Vì này, tai tôi vừa nghe lời Bà chào, hài nhi liền nhảy mừng trong lòng tôi. Phúc cho Bà là kẻ đã tin rằng lời Chúa phán cùng Bà sẽ được thực hiện”.","end":"Ðó là lời Chúa"}}}
+    }
+});
@@ -0,0 +1,7 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-christmas", {
+    "SUNDAY": {
+        "2010": {"A":{"firstReading":{"excerpt":"Hc 3, 3-7. 14-17a","info":"“Ai kính sợ Chúa, thì thảo kính cha mẹ”.","title":"Trích sách Huấn Ca.","content":"Thiên Chúa suy tôn người cha trong con cái; quyền lợi bà mẹ, Người củng cố trên đoàn con. Ai yêu mến cha mình, thì đền bù tội lỗi; ai thảo kính mẹ mình, thì như người thu được một kho tàng. Ai thảo kính cha mình, sẽ được vui mừng trong con cái, khi cầu xin, người ấy sẽ được nhậm lời. Ai thảo kính cha mình, sẽ được sống lâu dài. Ai vâng lời cha, sẽ làm vui lòng mẹ.\rHỡi kẻ làm con, hãy gánh lấy tuổi già cha ngươi, chớ làm phiền lòng người khi người còn sống. Nếu tinh thần người sa sút, thì hãy rộng lượng, ngươi là kẻ trai tráng, chớ đành khinh dể người. Vì của dâng cho cha, sẽ không rơi vào quên lãng. Của biếu cho mẹ, sẽ đền bù tội lỗi, và xây dựng đức công chính của ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người (x. c. 1).","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người! Công quả tay bạn làm ra bạn an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thất nội cung nhà bạn. Con cái bạn như những chồi non của khóm ô-liu ở chung quanh bàn ăn của bạn. Ðó là phúc lộc dành để cho người biết tôn sợ Ðức Thiên Chúa.","Xướng: Nguyện xin Thiên Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem hết mọi ngày trong đời sống của bạn, và để bạn nhìn thấy lũ cháu đoàn con!"]},"secondReading":{"excerpt":"Cl 3, 12 - 21","info":"“Về đời sống gia đình trong Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, như những người được chọn của Thiên Chúa, những người thánh thiện và được yêu thương, anh em hãy mặc lấy những tâm tình từ bi, nhân hậu, khiêm cung, ôn hoà, nhẫn nại, chịu đựng lẫn nhau, và hãy tha thứ cho nhau nếu người này có chuyện phải oán trách người kia. Như Chúa đã tha thứ cho anh em, anh em cũng hãy tha thứ cho nhau. Và trên hết mọi sự, anh em hãy có đức yêu thương, đó là dây ràng buộc điều toàn thiện. Nguyện cho bình an của Chúa Kitô làm chủ trong lòng anh em, sự bình an mà anh em đã được kêu gọi tới để làm nên một thân thể. Anh em hãy cảm tạ Thiên Chúa. Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em. Với tất cả sự khôn ngoan, anh em hãy học hỏi và nhủ bảo lẫn nhau. Hãy dùng những bài thánh vịnh, thánh thi và thánh ca của Thần khí, cùng với lòng tri ân, để hát mừng Thiên Chúa trong lòng anh em. Và tất cả những gì anh em làm, trong lời nói cũng như trong hành động, tất cả mọi chuyện, anh em hãy làm vì danh Chúa Giêsu Kitô, nhờ Người mà tạ ơn Thiên Chúa Cha.\rHỡi các bà vợ, hãy phục tùng chồng trong Chúa cho phải phép. Hỡi những người chồng, hãy yêu thương vợ mình, đừng đay nghiến nó. Hỡi những người con, hãy vâng lời cha mẹ trong mọi sự, vì đó là đẹp lòng Chúa. Hỡi những người cha, đừng nổi cơn phẫn nộ với con cái, kẻo chúng nên nhát đảm sợ sệt.\rĐó là lời Chúa.\rAlleluia: Cl 3, 15a. 16a\rAlleluia, Alleluia – Nguyện cho bình an của Chúa Kitô làm chủ trong lòng anh em. Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em. – Alleluia.\rPhúc Âm: Mt 2, 13-15. 19-23\r“Hãy đem Con Trẻ và mẹ Người trốn sang Ai-cập”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\rKhi các đạo sĩ đã đi rồi, thiên thần Chúa hiện ra với ông Giuse trong lúc ngủ và bảo ông: “Hãy thức dậy, đem Hài Nhi và mẹ Người trốn sang Ai-cập, và ở đó cho tới khi tôi báo lại ông, vì Hêrôđê sắp sửa tìm kiếm Hài Nhi để sát hại Người”. Ông thức dậy, đem Hài Nhi và mẹ Người lên đường trốn sang Ai-cập đang lúc ban đêm. Ông ở lại đó cho tới khi Hêrôđê băng hà, hầu làm cho trọn điều Chúa dùng miệng tiên tri mà phán rằng: “Ta gọi con Ta ra khỏi Ai-cập”.\rBấy giờ Hêrôđê thấy mình bị các đạo sĩ đánh lừa, nên nổi cơn thịnh nộ và sai quân đi giết tất cả con trẻ ở Bêlem và vùng phụ cận, từ hai tuổi trở xuống, tính theo thời gian vua đã cặn kẽ hỏi các đạo sĩ. Thế là ứng nghiệm lời tiên tri Giêrêmia đã nói: Tại Rama, người ta nghe những tiếng khóc than nức nở, đó là tiếng bà Rakhel than khóc con mình, bà không chịu cho người ta an ủi bà, vì các con bà không còn nữa.\rKhi Hêrôđê băng hà, thì đây thiên thần Chúa hiện ra cùng Giuse trong giấc mơ bên Ai-cập và bảo: “Hãy chỗi dậy, đem Con Trẻ và mẹ Người về đất Israel, vì những kẻ tìm hại mạng sống Người đã chết”. Ông liền chỗi dậy, đem Con Trẻ và mẹ Người về đất Israel. Nhưng nghe rằng Arkhêlao làm vua xứ Giuđa thay cho Hêrôđê là cha mình, thì Giuse sợ không dám về đó. Ðược báo trong giấc mộng, ông lánh sang địa phận xứ Galilêa, và lập cư trong thành gọi là Nadarét, để ứng nghiệm lời đã phán qua các tiên tri rằng: “Người sẽ được gọi là Nadarêô”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Cl 3, 15a. 16a","content":"Alleluia, Alleluia – Nguyện cho bình an của Chúa Kitô làm chủ trong lòng anh em. Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em. – Alleluia."},"gospel":{"excerpt":"Mt 2, 13-15. 19-23","info":"“Hãy đem Con Trẻ và mẹ Người trốn sang Ai-cập”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi các đạo sĩ đã đi rồi, thiên thần Chúa hiện ra với ông Giuse trong lúc ngủ và bảo ông: “Hãy thức dậy, đem Hài Nhi và mẹ Người trốn sang Ai-cập, và ở đó cho tới khi tôi báo lại ông, vì Hêrôđê sắp sửa tìm kiếm Hài Nhi để sát hại Người”. Ông thức dậy, đem Hài Nhi và mẹ Người lên đường trốn sang Ai-cập đang lúc ban đêm. Ông ở lại đó cho tới khi Hêrôđê băng hà, hầu làm cho trọn điều Chúa dùng miệng tiên tri mà phán rằng: “Ta gọi con Ta ra khỏi Ai-cập”.\rBấy giờ Hêrôđê thấy mình bị các đạo sĩ đánh lừa, nên nổi cơn thịnh nộ và sai quân đi giết tất cả con trẻ ở Bêlem và vùng phụ cận, từ hai tuổi trở xuống, tính theo thời gian vua đã cặn kẽ hỏi các đạo sĩ. Thế là ứng nghiệm lời tiên tri Giêrêmia đã nói: Tại Rama, người ta nghe những tiếng khóc than nức nở, đó là tiếng bà Rakhel than khóc con mình, bà không chịu cho người ta an ủi bà, vì các con bà không còn nữa.\rKhi Hêrôđê băng hà, thì đây thiên thần Chúa hiện ra cùng Giuse trong giấc mơ bên Ai-cập và bảo: “Hãy chỗi dậy, đem Con Trẻ và mẹ Người về đất Israel, vì những kẻ tìm hại mạng sống Người đã chết”. Ông liền chỗi dậy, đem Con Trẻ và mẹ Người về đất Israel. Nhưng nghe rằng Arkhêlao làm vua xứ Giuđa thay cho Hêrôđê là cha mình, thì Giuse sợ không dám về đó. Ðược báo trong giấc mộng, ông lánh sang địa phận xứ Galilêa, và lập cư trong thành gọi là Nadarét, để ứng nghiệm lời đã phán qua các tiên tri rằng: “Người sẽ được gọi là Nadarêô”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"St 15,1-6 ; 21,1-3","info":"Một kẻ do chính ngươi sinh ra, mới thừa kế ngươi.","title":"Bài trích sách Sáng thế","content":"Hồi đó, có lời Đức Chúa phán với ông Áp-ram trong một thị kiến rằng: “Hỡi Áp-ram, đừng sợ, Ta là khiên che thuẫn đỡ cho ngươi ; phần thưởng của ngươi sẽ rất lớn.” Ông Áp-ram thưa: “Lạy Đức Chúa là Chúa Thượng, Chúa sẽ ban cho con cái gì? Con ra đi mà không con cái, và người thừa tự gia đình con là Ê-li-e-de, một người Đa-mát.” Ông Áp-ram còn nói: “Chúa coi, Chúa không ban cho con một dòng dõi; và một gia nhân của con sẽ thừa kế con.” Và đây có lời Đức Chúa phán với ông rằng: “Kẻ đó sẽ không thừa kế ngươi, nhưng một kẻ do chính ngươi sinh ra mới thừa kế ngươi.” Rồi Người đưa ông ra ngoài và phán: “Hãy ngước mắt lên trời, và thử đếm các vì sao, xem có đếm nổi không.” Người lại phán: “Dòng dõi ngươi sẽ như thế đó!” Ông tin Đức Chúa, và vì thế, Đức Chúa kể ông là người công chính.\rĐức Chúa viếng thăm bà Xa-ra như Người đã phán, và Người đã làm cho bà như Người đã hứa. Bà Xa-ra có thai và sinh cho ông Áp-ra-ham một con trai khi ông đã già, vào thời kỳ Thiên Chúa đã hứa. Và ông Áp-ra-ham đã đặt tên cho đứa con mà bà Xa-ra sinh ra cho ông, ông đặt tên là I-xa-ác.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Chính Đức Chúa là Thiên Chúa chúng ta, giao ước đã lập ra, muôn đời Người nhớ mãi.","verses":["Xướng: Hãy tạ ơn Chúa, cầu khẩn danh Người, vĩ nghiệp của Người, loan báo giữa muôn dân. Hát lên đi, đàn ca mừng Chúa, và suy gẫm mọi kỳ công của Người.","Xướng: Hãy tự hào vì danh thánh Chúa, tâm hồn những ai tìm kiếm Chúa, nào hoan hỷ. Hãy tìm Chúa và sức mạnh của Người, chẳng khi ngừng tìm kiếm Thánh Nhan.","Xướng: Hãy nhớ lại những kỳ công Người thực hiện, những dấu lạ và những quyết định Người phán ra, hỡi anh em, dòng dõi Áp-ra-ham tôi tớ Chúa, con cháu Gia-cóp được Người tuyển chọn!","Xướng: Giao ước lập ra, muôn đời Người nhớ mãi, nhớ lời đã cam kết đến ngàn thế hệ! Đó là điều đã giao ước cùng Áp-ra-ham, đã đoan thề cùng I-xa-ác."]},"secondReading":{"excerpt":"Hr 11, 8.11-12.17-19","info":"Đức tin của ông Áp-ra-ham, của bà Xa-ra và của ông I-xa-ác.","title":"Bài trích thư gửi tín hữu Híp-ri.","content":"Thưa anh em, nhờ đức tin, ông Áp-ra-ham đã vâng nghe tiếng Chúa gọi mà ra đi đến một nơi ông sẽ được lãnh nhận làm gia nghiệp. Ông đã ra đi mà không biết mình đi đâu. Nhờ đức tin, cả bà Xa-ra vốn hiếm muộn, cũng đã có thể thụ thai và sinh con nối dòng vào lúc tuổi đã cao, vì bà tin rằng Đấng đã hứa là Đấng trung tín. Bởi vậy, do một người duy nhất, một người kể như chết rồi mà đã sinh ra một dòng dõi nhiều như sao trời cát biển, không tài nào đếm được.\rNhờ đức tin, khi bị thử thách, ông Áp-ra-ham đã hiến tế I-xa-ác ; dù đã nhận được lời hứa, ông vẫn hiến tế người con một. Về người con này, Thiên Chúa đã phán bảo: Chính do I-xa-ác mà sẽ có một dòng dõi mang tên ngươi. Quả thật, ông Áp-ra-ham nghĩ rằng Thiên Chúa có quyền năng cho người chết trỗi dậy. Rốt cuộc, ông đã nhận lại người con ấy như là một biểu tượng.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Cl 3, 15a. 16a","content":"alleluia – Thuở xưa, nhiều lần nhiều cách, Thiên Chúa đã phán dạy cha ông chúng ta qua các ngôn sứ ; nhưng vào thời sau hết, Thiên Chúa đã phán dạy chúng ta qua Thánh Tử. – Alleluia."},"gospel":{"excerpt":"Lc 2, 22-40 (bài dài)","info":"“Con trẻ lớn lên, đầy khôn ngoan”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, đủ ngày thanh tẩy theo luật Mô-sê, cha mẹ Chúa Giê-su liền đem Người lên Giê-ru-sa-lem để hiến dâng cho Chúa, như đã chép trong Lề luật Chúa rằng: “Mọi con trai đầu lòng sẽ được gọi là người thánh thuộc về Chúa”. Và cũng để dâng lễ vật cho Chúa, như có nói trong Luật Chúa, là một đôi chim gáy hay một cặp bồ câu con.\rVà đây ở Giê-ru-sa-lem có một người tên là Si-mê-on, là người công chính, kính sợ Thiên Chúa, và đang đợi chờ niềm ủi an của Israel. Thánh Thần cũng ở trong ông. Ông đã được Thánh Thần trả lời rằng: Ông sẽ không chết trước khi thấy Ðấng Ki-tô của Chúa. Ðược Thánh Thần thúc giục, ông vào đền thờ ngay lúc cha mẹ trẻ Giê-su đưa Người đến để thi hành cho Người những tục lệ của Lề luật. Ông bồng Người trên cánh tay mình, và chúc tụng Thiên Chúa rằng:\r“Lạy Chúa, bây giờ, Chúa để cho tôi tớ Chúa đi bình an theo như lời Chúa, vì chính mắt con đã thấy ơn cứu độ mà Chúa đã sắm sẵn trước mặt muôn dân, là ánh sáng chiếu soi các lương dân, và vinh quang của Ít-ra-en dân Chúa”.\rCha mẹ Người đều kinh ngạc về những điều đã nói về Người. Si-mê-on chúc lành cho hai ông bà và nói với Ma-ri-a mẹ Người rằng: “Ðây trẻ này được đặt lên, khiến cho nhiều người trong Ít-ra-en phải sụp đổ hay được đứng dậy, và cũng để làm mục tiêu cho người ta chống đối. Về phần bà, một lưỡi gươm sẽ đâm thấu tâm hồn bà để tâm tư nhiều tâm hồn được biểu lộ!”\rLúc ấy, cũng có bà tiên tri An-na, con ông Pơ-nu-ên, thuộc chi họ A-sê, đã cao niên. Mãn thời trinh nữ, bà đã sống với chồng được bảy năm. Rồi thủ tiết cho đến nay đã tám mươi bốn tuổi. Bà không rời khỏi đền thờ, đêm ngày ăn chay cầu nguyện phụng sự Chúa. Chính giờ ấy, bà cũng đến, bà liền chúc tụng Chúa, và nói về trẻ Giê-su cho tất cả những người đang trông chờ ơn cứu chuộc Ít-ra-en.\rKhi hai ông bà hoàn tất mọi điều theo luật Chúa, thì trở lại xứ Ga-li-lê-a, về thành mình là Na-da-rét. Và con trẻ lớn lên, thêm mạnh mẽ, đầy khôn ngoan, và ơn nghĩa Thiên Chúa ở cùng Người.\r\r Hoặc đọc bài vắn này: Lc 2, 22. 39-40\r“Con trẻ lớn lên, đầy khôn ngoan”.\rTin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.\rKhi ấy, đủ ngày thanh tẩy theo luật Mô-sê, cha mẹ Chúa Giê-su liền đem Người lên Giê-ru-sa-lem để hiến dâng cho Chúa. Khi hai ông bà hoàn tất mọi điều theo luật Chúa, thì trở lại xứ Ga-li-lê-a, về thành mình là Na-da-rét. Và Con Trẻ lớn lên, thêm mạnh mẽ, đầy khôn ngoan, và ơn nghĩa Thiên Chúa ở cùng Người.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Hc 3, 3-7. 14-17a","info":"“Ai kính sợ Chúa, thì thảo kính cha mẹ”.","title":"Trích sách Huấn Ca.","content":"Thiên Chúa suy tôn người cha trong con cái; quyền lợi bà mẹ, Người củng cố trên đoàn con. Ai yêu mến cha mình, thì đền bù tội lỗi; ai thảo kính mẹ mình, thì như người thu được một kho tàng. Ai thảo kính cha mình, sẽ được vui mừng trong con cái, khi cầu xin, người ấy sẽ được nhậm lời. Ai thảo kính cha mình, sẽ được sống lâu dài. Ai vâng lời cha, sẽ làm vui lòng mẹ.\rHỡi kẻ làm con, hãy gánh lấy tuổi già cha ngươi, chớ làm phiền lòng người khi người còn sống. Nếu tinh thần người sa sút, thì hãy rộng lượng, ngươi là kẻ trai tráng, chớ đành khinh dể người. Vì của dâng cho cha, sẽ không rơi vào quên lãng. Của biếu cho mẹ, sẽ đền bù tội lỗi, và xây dựng đức công chính của ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người (x. c. 1).","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người! Công quả tay bạn làm ra bạn an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thất nội cung nhà bạn. Con cái bạn như những chồi non của khóm ô-liu ở chung quanh bàn ăn của bạn. Ðó là phúc lộc dành để cho người biết tôn sợ Ðức Thiên Chúa.","Xướng: Nguyện xin Thiên Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem hết mọi ngày trong đời sống của bạn, và để bạn nhìn thấy lũ cháu đoàn con!"]},"secondReading":{"excerpt":"Cl 3, 12-21","info":"\"Về đời sống gia đình trong Chúa\".","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, như những người được chọn của Thiên Chúa, những người thánh thiện và được yêu thương, anh em hãy mặc lấy những tâm tình từ bi, nhân hậu, khiêm cung, ôn hoà, nhẫn nại, chịu đựng lẫn nhau, và hãy tha thứ cho nhau nếu người này có chuyện phải oán trách người kia. Như Chúa đã tha thứ cho anh em, anh em cũng hãy tha thứ cho nhau. Và trên hết mọi sự, anh em hãy có đức yêu thương, đó là dây ràng buộc điều toàn thiện. Nguyện cho bình an của Chúa Kitô làm chủ trong lòng anh em, sự bình an mà anh em đã được kêu gọi tới để làm nên một thân thể. Anh em hãy cảm tạ Thiên Chúa. Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em. Với tất cả sự khôn ngoan, anh em hãy học hỏi và nhủ bảo lẫn nhau. Hãy dùng những bài thánh vịnh, thánh thi và thánh ca của Thần khí, cùng với lòng tri ân, để hát mừng Thiên Chúa trong lòng anh em. Và tất cả những gì anh em làm, trong lời nói cũng như trong hành động, tất cả mọi chuyện, anh em hãy làm vì danh Chúa Giêsu Kitô, nhờ Người mà tạ ơn Thiên Chúa Cha.\rHỡi các bà vợ, hãy phục tùng chồng trong Chúa cho phải phép. Hỡi những người chồng, hãy yêu thương vợ mình, đừng đay nghiến nó. Hỡi những người con, hãy vâng lời cha mẹ trong mọi sự, vì đó là đẹp lòng Chúa. Hỡi những người cha, đừng nổi cơn phẫn nộ với con cái, kẻo chúng nên nhát đảm sợ sệt.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Cl 3, 15a. 16a","content":"Alleluia, Alleluia – Nguyện cho bình an của Chúa Kitô làm chủ trong lòng anh em. Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em. – Alleluia."},"gospel":{"excerpt":"Lc 2, 41-52","info":"“Hai Ông Bà gặp Chúa Giêsu đang ngồi giữa các thầy tiến sĩ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Hằng năm cha mẹ Chúa Giêsu có thói quen lên Giêrusalem để mừng lễ Vượt Qua. Lúc bấy giờ Chúa Giêsu lên mười hai tuổi, cha mẹ Người đã lên Giêrusalem, theo tục lệ mừng ngày lễ Vượt Qua. Và khi những ngày lễ đã hoàn tất, hai ông bà ra về, trẻ Giêsu đã ở lại Giêrusalem mà cha mẹ Người không hay biết. Tưởng rằng Người ở trong nhóm các khách đồng hành, hai ông bà đi được một ngày đàng, mới tìm kiếm Người trong nhóm bà con và những kẻ quen biết.\rNhưng không gặp thấy Người, nên hai ông bà trở lại Giêrusalem để tìm Người. Sau ba ngày, hai ông bà gặp thấy Người trong đền thờ đang ngồi giữa các thầy tiến sĩ, nghe và hỏi các ông. Tất cả những ai nghe Người nói đều ngạc nhiên trước sự hiểu biết và những câu Người đáp lại.\rNhìn thấy Người, hai ông bà đã ngạc nhiên, và mẹ Người bảo Người rằng: “Con ơi, sao Con làm cho chúng ta như thế? Kìa cha Con và mẹ đây đã đau khổ tìm Con”. Người thưa với hai ông bà rằng: “Mà tại sao cha mẹ tìm Con? Cha mẹ không biết rằng Con phải lo công việc của Cha Con ư?” Nhưng hai ông bà không hiểu lời Người nói.\r Bấy giờ Người theo hai ông bà trở về Nadarét, và Người vâng phục hai ông bà. Maria mẹ Người ghi nhớ những việc đó trong lòng. Còn Chúa Giêsu thì tiến tới trong sự khôn ngoan, tuổi tác và ân sủng, trước mặt Thiên Chúa và người ta.","end":"Ðó là lời Chúa"}}},
+        "6000": {"A":{"firstReading":{"excerpt":"Is 60, 1-6","info":"“Vinh quang Chúa xuất hiện trên ngươi”.","title":"Trích sách Tiên tri I-sai-a.","content":"Hãy đứng lên, hãy toả sáng ra, hỡi Giê-ru-sa-lem! Vì sự sáng của ngươi đã tới, vì vinh quang của Chúa đã bừng dậy trên mình ngươi.\rKìa tối tăm đang bao bọc địa cầu, vì u minh phủ kín các dân, nhưng trên mình ngươi Chúa đang đứng dậy, vì vinh quang của Ngài xuất hiện trên mình ngươi. Chư dân sẽ lần bước tìm về sự sáng của ngươi, và các vua hướng về ánh bình minh của ngươi.\rHãy ngước mắt lên chung quanh, và hãy nhìn coi: tất cả những người đó đang tập họp, đang tìm đến với ngươi; các con trai của ngươi tự đàng xa đi tới, và các con gái ngươi đứng dậy từ khắp bên hông.\rBấy giờ ngươi sẽ nhìn coi, và ngươi trở nên rực rỡ, tim ngươi sẽ rạo rực và sẽ phồng lên. Bởi vì những kho tàng bể khơi tuôn đến với ngươi, nguồn phú túc của chư dân sẽ tới tay ngươi. Những con lạc đà tràn ngập vây phủ lấy ngươi, những lạc đà một bướu tự xứ Ma-đi-an và Ê-pha; tất cả những ai từ Sa-ba đi tới, đem theo vàng và nhũ hương, và họ sẽ tuyên rao lời ca ngợi Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 7-8. 10-11a. 12-13","response":"Ðáp: Lạy Chúa, mọi dân tộc trên địa cầu đều thờ lạy Chúa","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người, cho đến khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất.","Xướng: Vì người sẽ giải thoát kẻ nghèo khó khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu thoát mạng sống kẻ cùng khổ.","Xướng: Chúc tụng danh người đến muôn đời, danh người còn tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca ngợi người."]},"secondReading":{"excerpt":"Ep 3, 2-3a. 5-6","info":"“Bây giờ được tỏ ra rằng các dân ngoại được đồng thừa tự lời hứa”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Ê-phê-xô.","content":"Anh em thân mến, (chắc) anh em đã nghe biết rằng: Thiên Chúa đã ban cho tôi việc phân phát ân sủng cho anh em, là theo ơn mạc khải cho tôi biết, tôi đã được thấu hiểu mầu nhiệm mà con cái loài người các thế hệ khác không được biết, nhưng nay đã mạc khải cho các thánh Tông đồ của Người, và cho các vị Tiên tri, nhờ Thánh Thần. Và nhờ Tin Mừng, các dân ngoại được nên đồng thừa tự, đồng một thân thể và đồng thông phần với lời hứa của Người trong Chúa Giê-su Ki-tô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 2, 2","content":"Alleluia, Alleluia – Chúng tôi đã nhận thấy ngôi sao của Người ở Ðông phương, và chúng tôi đã đến để triều bái Người. – Alleluia."},"gospel":{"excerpt":"Mt 2, 1-12","info":"“Chúng tôi từ phương Ðông đến thờ lạy Ðức Vua“.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi Chúa Giê-su sinh hạ tại Bê-lem thuộc xứ Giu-đa, trong đời vua Hê-rô-đê, có mấy nhà đạo sĩ từ Ðông phương tìm đến Giê-ru-sa-lem. Các ông nói: “Vua người Do-thái mới sinh ra hiện đang ở đâu? Chúng tôi đã nhận thấy ngôi sao của Người ở Ðông phương, và chúng tôi đến để triều bái Người”. Nghe nói thế, vua Hê-rô-đê bối rối, và tất cả Giê-ru-sa-lem cùng với nhà vua. Vua đã triệu tập tất cả các đại giáo trưởng và luật sĩ trong dân, và hỏi họ cho biết nơi mà Ðức Ki-tô sinh hạ. Họ tâu nhà vua rằng: “Tại Bê-lem thuộc xứ Giu-đa, vì đó là lời do Ðấng Tiên tri đã chép: Cả ngươi nữa, hỡi Bê-lem, đất Giu-đa, không lẽ gì ngươi bé nhỏ hơn hết trong các thành trì của Giu-đa, vì tự nơi ngươi sẽ xuất hiện một thủ lãnh, Người đó sẽ chăn nuôi Israel dân tộc của Ta”.\rBấy giờ Hê-rô-đê ngầm triệu tập mấy nhà đạo sĩ tới, cặn kẽ hỏi han họ về thời giờ ngôi sao đã hiện ra. Rồi vua đã phái họ đi Bê-lem và dặn rằng: “Các khanh hãy đi điều tra cẩn thận về Hài Nhi, rồi khi đã gặp thấy, hãy báo tin lại cho Trẫm, để cả Trẫm cũng đến triều bái Người”. Nghe nhà vua nói, họ lên đường. Và kìa ngôi sao họ xem thấy ở Ðông phương, lại đi trước họ, mãi cho tới nơi và đậu lại trên chỗ Hài Nhi ở. Lúc nhìn thấy ngôi sao, họ hết sức vui mừng. Và khi tiến vào nhà, họ đã gặp thấy Hài Nhi và Bà Ma-ri-a Mẹ Người, và họ đã quỳ gối xuống sụp lạy Người. Rồi, mở kho tàng ra, họ đã dâng tiến Người lễ vật: vàng, nhũ hương và một dược. Và khi nhận được lời mộng báo đừng trở lại với Hê-rô-đê, họ đã qua đường khác trở về xứ sở mình.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 60, 1-6","info":"“Vinh quang Chúa xuất hiện trên ngươi”.","title":"Trích sách Tiên tri I-sai-a.","content":"Hãy đứng lên, hãy toả sáng ra, hỡi Giê-ru-sa-lem! Vì sự sáng của ngươi đã tới, vì vinh quang của Chúa đã bừng dậy trên mình ngươi.\rKìa tối tăm đang bao bọc địa cầu, vì u minh phủ kín các dân, nhưng trên mình ngươi Chúa đang đứng dậy, vì vinh quang của Ngài xuất hiện trên mình ngươi. Chư dân sẽ lần bước tìm về sự sáng của ngươi, và các vua hướng về ánh bình minh của ngươi.\rHãy ngước mắt lên chung quanh, và hãy nhìn coi: tất cả những người đó đang tập họp, đang tìm đến với ngươi; các con trai của ngươi tự đàng xa đi tới, và các con gái ngươi đứng dậy từ khắp bên hông.\rBấy giờ ngươi sẽ nhìn coi, và ngươi trở nên rực rỡ, tim ngươi sẽ rạo rực và sẽ phồng lên. Bởi vì những kho tàng bể khơi tuôn đến với ngươi, nguồn phú túc của chư dân sẽ tới tay ngươi. Những con lạc đà tràn ngập vây phủ lấy ngươi, những lạc đà một bướu tự xứ Ma-đi-an và Ê-pha; tất cả những ai từ Sa-ba đi tới, đem theo vàng và nhũ hương, và họ sẽ tuyên rao lời ca ngợi Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 7-8. 10-11a. 12-13","response":"Ðáp: Lạy Chúa, mọi dân tộc trên địa cầu đều thờ lạy Chúa","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người, cho đến khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất.","Xướng: Vì người sẽ giải thoát kẻ nghèo khó khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu thoát mạng sống kẻ cùng khổ.","Xướng: Chúc tụng danh người đến muôn đời, danh người còn tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca ngợi người."]},"secondReading":{"excerpt":"Ep 3, 2-3a. 5-6","info":"“Bây giờ được tỏ ra rằng các dân ngoại được đồng thừa tự lời hứa”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Ê-phê-xô.","content":"Anh em thân mến, (chắc) anh em đã nghe biết rằng: Thiên Chúa đã ban cho tôi việc phân phát ân sủng cho anh em, là theo ơn mạc khải cho tôi biết, tôi đã được thấu hiểu mầu nhiệm mà con cái loài người các thế hệ khác không được biết, nhưng nay đã mạc khải cho các thánh Tông đồ của Người, và cho các vị Tiên tri, nhờ Thánh Thần. Và nhờ Tin Mừng, các dân ngoại được nên đồng thừa tự, đồng một thân thể và đồng thông phần với lời hứa của Người trong Chúa Giê-su Ki-tô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 2, 2","content":"Alleluia, Alleluia – Chúng tôi đã nhận thấy ngôi sao của Người ở Ðông phương, và chúng tôi đã đến để triều bái Người. – Alleluia."},"gospel":{"excerpt":"Mt 2, 1-12","info":"“Chúng tôi từ phương Ðông đến thờ lạy Ðức Vua“.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi Chúa Giê-su sinh hạ tại Bê-lem thuộc xứ Giu-đa, trong đời vua Hê-rô-đê, có mấy nhà đạo sĩ từ Ðông phương tìm đến Giê-ru-sa-lem. Các ông nói: “Vua người Do-thái mới sinh ra hiện đang ở đâu? Chúng tôi đã nhận thấy ngôi sao của Người ở Ðông phương, và chúng tôi đến để triều bái Người”. Nghe nói thế, vua Hê-rô-đê bối rối, và tất cả Giê-ru-sa-lem cùng với nhà vua. Vua đã triệu tập tất cả các đại giáo trưởng và luật sĩ trong dân, và hỏi họ cho biết nơi mà Ðức Ki-tô sinh hạ. Họ tâu nhà vua rằng: “Tại Bê-lem thuộc xứ Giu-đa, vì đó là lời do Ðấng Tiên tri đã chép: Cả ngươi nữa, hỡi Bê-lem, đất Giu-đa, không lẽ gì ngươi bé nhỏ hơn hết trong các thành trì của Giu-đa, vì tự nơi ngươi sẽ xuất hiện một thủ lãnh, Người đó sẽ chăn nuôi Israel dân tộc của Ta”.\rBấy giờ Hê-rô-đê ngầm triệu tập mấy nhà đạo sĩ tới, cặn kẽ hỏi han họ về thời giờ ngôi sao đã hiện ra. Rồi vua đã phái họ đi Bê-lem và dặn rằng: “Các khanh hãy đi điều tra cẩn thận về Hài Nhi, rồi khi đã gặp thấy, hãy báo tin lại cho Trẫm, để cả Trẫm cũng đến triều bái Người”. Nghe nhà vua nói, họ lên đường. Và kìa ngôi sao họ xem thấy ở Ðông phương, lại đi trước họ, mãi cho tới nơi và đậu lại trên chỗ Hài Nhi ở. Lúc nhìn thấy ngôi sao, họ hết sức vui mừng. Và khi tiến vào nhà, họ đã gặp thấy Hài Nhi và Bà Ma-ri-a Mẹ Người, và họ đã quỳ gối xuống sụp lạy Người. Rồi, mở kho tàng ra, họ đã dâng tiến Người lễ vật: vàng, nhũ hương và một dược. Và khi nhận được lời mộng báo đừng trở lại với Hê-rô-đê, họ đã qua đường khác trở về xứ sở mình.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Is 60, 1-6","info":"“Vinh quang Chúa xuất hiện trên ngươi”.","title":"Trích sách Tiên tri I-sai-a.","content":"Hãy đứng lên, hãy toả sáng ra, hỡi Giê-ru-sa-lem! Vì sự sáng của ngươi đã tới, vì vinh quang của Chúa đã bừng dậy trên mình ngươi.\rKìa tối tăm đang bao bọc địa cầu, vì u minh phủ kín các dân, nhưng trên mình ngươi Chúa đang đứng dậy, vì vinh quang của Ngài xuất hiện trên mình ngươi. Chư dân sẽ lần bước tìm về sự sáng của ngươi, và các vua hướng về ánh bình minh của ngươi.\rHãy ngước mắt lên chung quanh, và hãy nhìn coi: tất cả những người đó đang tập họp, đang tìm đến với ngươi; các con trai của ngươi tự đàng xa đi tới, và các con gái ngươi đứng dậy từ khắp bên hông.\rBấy giờ ngươi sẽ nhìn coi, và ngươi trở nên rực rỡ, tim ngươi sẽ rạo rực và sẽ phồng lên. Bởi vì những kho tàng bể khơi tuôn đến với ngươi, nguồn phú túc của chư dân sẽ tới tay ngươi. Những con lạc đà tràn ngập vây phủ lấy ngươi, những lạc đà một bướu tự xứ Ma-đi-an và Ê-pha; tất cả những ai từ Sa-ba đi tới, đem theo vàng và nhũ hương, và họ sẽ tuyên rao lời ca ngợi Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 71, 2. 7-8. 10-11a. 12-13","response":"Ðáp: Lạy Chúa, mọi dân tộc trên địa cầu đều thờ lạy Chúa","verses":["Xướng: Lạy Chúa, xin ban quyền xét đoán khôn ngoan cho đức vua, và ban sự công chính cho hoàng tử, để người đoán xét dân Chúa cách công minh, và phân xử người nghèo khó cách chính trực.","Xướng: Sự công chính và nền hoà bình viên mãn sẽ triển nở trong triều đại người, cho đến khi mặt trăng không còn chiếu sáng. Và người sẽ thống trị từ biển nọ đến biển kia, từ sông cái đến tận cùng trái đất.","Xướng: Vì người sẽ giải thoát kẻ nghèo khó khỏi tay kẻ quyền thế, và sẽ cứu người bất hạnh không ai giúp đỡ. Người sẽ thương xót kẻ yếu đuối và người thiếu thốn, và cứu thoát mạng sống kẻ cùng khổ.","Xướng: Chúc tụng danh người đến muôn đời, danh người còn tồn tại lâu dài như mặt trời. Vì người, các chi họ đất hứa sẽ được chúc phúc, và các dân nước sẽ ca ngợi người."]},"secondReading":{"excerpt":"Ep 3, 2-3a. 5-6","info":"“Bây giờ được tỏ ra rằng các dân ngoại được đồng thừa tự lời hứa”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Ê-phê-xô.","content":"Anh em thân mến, (chắc) anh em đã nghe biết rằng: Thiên Chúa đã ban cho tôi việc phân phát ân sủng cho anh em, là theo ơn mạc khải cho tôi biết, tôi đã được thấu hiểu mầu nhiệm mà con cái loài người các thế hệ khác không được biết, nhưng nay đã mạc khải cho các thánh Tông đồ của Người, và cho các vị Tiên tri, nhờ Thánh Thần. Và nhờ Tin Mừng, các dân ngoại được nên đồng thừa tự, đồng một thân thể và đồng thông phần với lời hứa của Người trong Chúa Giê-su Ki-tô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 2, 2","content":"Alleluia, Alleluia – Chúng tôi đã nhận thấy ngôi sao của Người ở Ðông phương, và chúng tôi đã đến để triều bái Người. – Alleluia."},"gospel":{"excerpt":"Mt 2, 1-12","info":"“Chúng tôi từ phương Ðông đến thờ lạy Ðức Vua“.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi Chúa Giê-su sinh hạ tại Bê-lem thuộc xứ Giu-đa, trong đời vua Hê-rô-đê, có mấy nhà đạo sĩ từ Ðông phương tìm đến Giê-ru-sa-lem. Các ông nói: “Vua người Do-thái mới sinh ra hiện đang ở đâu? Chúng tôi đã nhận thấy ngôi sao của Người ở Ðông phương, và chúng tôi đến để triều bái Người”. Nghe nói thế, vua Hê-rô-đê bối rối, và tất cả Giê-ru-sa-lem cùng với nhà vua. Vua đã triệu tập tất cả các đại giáo trưởng và luật sĩ trong dân, và hỏi họ cho biết nơi mà Ðức Ki-tô sinh hạ. Họ tâu nhà vua rằng: “Tại Bê-lem thuộc xứ Giu-đa, vì đó là lời do Ðấng Tiên tri đã chép: Cả ngươi nữa, hỡi Bê-lem, đất Giu-đa, không lẽ gì ngươi bé nhỏ hơn hết trong các thành trì của Giu-đa, vì tự nơi ngươi sẽ xuất hiện một thủ lãnh, Người đó sẽ chăn nuôi Israel dân tộc của Ta”.\rBấy giờ Hê-rô-đê ngầm triệu tập mấy nhà đạo sĩ tới, cặn kẽ hỏi han họ về thời giờ ngôi sao đã hiện ra. Rồi vua đã phái họ đi Bê-lem và dặn rằng: “Các khanh hãy đi điều tra cẩn thận về Hài Nhi, rồi khi đã gặp thấy, hãy báo tin lại cho Trẫm, để cả Trẫm cũng đến triều bái Người”. Nghe nhà vua nói, họ lên đường. Và kìa ngôi sao họ xem thấy ở Ðông phương, lại đi trước họ, mãi cho tới nơi và đậu lại trên chỗ Hài Nhi ở. Lúc nhìn thấy ngôi sao, họ hết sức vui mừng. Và khi tiến vào nhà, họ đã gặp thấy Hài Nhi và Bà Ma-ri-a Mẹ Người, và họ đã quỳ gối xuống sụp lạy Người. Rồi, mở kho tàng ra, họ đã dâng tiến Người lễ vật: vàng, nhũ hương và một dược. Và khi nhận được lời mộng báo đừng trở lại với Hê-rô-đê, họ đã qua đường khác trở về xứ sở mình.","end":"Ðó là lời Chúa"}}}
+    }
+});
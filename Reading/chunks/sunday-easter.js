@@ -0,0 +1,13 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-easter", {
+    "SUNDAY": {
+        "4010": {"A":{"firstReading":{"excerpt":"Cv 10, 34a. 37-43","info":"“Chúng tôi đã ăn uống với Người, sau khi Người từ cõi chết sống lại”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phêrô lên tiếng nói rằng: “Như anh em biết điều đã xảy ra trong toàn cõi Giuđêa, khởi đầu từ Galilêa, sau khi Gioan rao giảng phép rửa: ấy là Chúa Giêsu thành Nadarét. Thiên Chúa đã dùng Thánh Thần và quyền năng mà xức dầu cho Người. Người đi khắp nơi, ban bố ơn lành và chữa mọi người bị quỷ ám, bởi vì Thiên Chúa ở cùng Người. Và chúng tôi, chúng tôi là chứng nhân tất cả những gì Người đã làm trong nước Do-thái, và tại Giêrusalem, Người là Ðấng người ta đã giết treo Người trên thập giá. Nhưng ngày thứ ba, Thiên Chúa đã cho Người sống lại và hiện ra không phải với toàn dân, mà là với chúng tôi là nhân chứng Thiên Chúa đã tuyển chọn trước, chính chúng tôi đã ăn uống với Người sau khi Người từ cõi chết sống lại. Và Người đã truyền cho chúng tôi rao giảng cho toàn dân và làm chứng rằng chính Người đã được Thiên Chúa tôn làm quan án xét xử kẻ sống và kẻ chết. Mọi tiên tri đều làm chứng về Người rằng: Tất cả những ai tin vào Người, thì nhờ danh Người mà được tha tội”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 22-23","response":"Ðáp: Ðây là ngày Chúa đã lập ra, chúng ta hãy mừng rỡ hân hoan về ngày đó.\r Hoặc đọc: Alleluia.","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Hỡi nhà Israel, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Tay hữu Chúa đã hành động mãnh liệt, tay hữu Chúa đã cất nhắc tôi lên. Tôi không chết, nhưng tôi sẽ sống, và tôi sẽ loan truyền công cuộc của Chúa.","Xướng:  Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta."]},"secondReading":{"excerpt":"Cl 3, 1-4","info":"“Anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, nếu anh em đã sống lại với Ðức Kitô, anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự bên hữu Thiên Chúa. Anh em hãy nghĩ đến những sự trên trời, chứ đừng nghĩ đến những sự dưới đất. Vì anh em đã chết, và sự sống anh em được ẩn giấu với Ðức Kitô trong Thiên Chúa. Khi Ðức Kitô là sự sống anh em xuất hiện, bấy giờ anh em sẽ xuất hiện với Người trong vinh quang.\r\r Hoặc đọc: 1 Cr 5, 6b-8\r“Anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự”.\rTrích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.\rAnh em thân mến, anh em không biết sao?: chỉ một tí men là đã đủ làm dậy men cả khối bột! Anh em hãy tẩy trừ men cũ để nên bột mới anh em là bánh không men. Vì Chiên Vượt Qua của ta, là Ðức Kitô, đã chịu sát tế. Cho nên ta hãy mừng lễ, đừng với men cũ, và men gian tà, ác độc, nhưng là với Bánh không men của lòng tinh tuyền và chân thật.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lễ Vượt Qua của chúng ta là Ðức Kitô đã hiến tế vậy chúng ta hãy mừng lễ trong Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 20, 1-9","info":"“Người phải sống lại từ cõi chết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Ngày đầu tuần, Maria Mađalêna đi ra mồ từ sáng sớm khi trời còn tối và bà thấy tảng đá đã được lăn ra khỏi mồ, bà liền chạy về tìm Simon-Phêrô và người môn đệ kia được Chúa Giêsu yêu mến, bà nói với các ông rằng: “Người ta đã lấy xác Thầy khỏi mồ, và chúng tôi không biết người ta đã để Thầy ở đâu”. Phêrô và môn đệ kia ra đi đến mồ. Cả hai cùng chạy, nhưng môn đệ kia chạy nhanh hơn Phêrô, và đến mồ trước. Ông cúi mình xuống thấy những khăn liệm để đó, nhưng ông không vào trong. Vậy Simon-Phêrô theo sau cũng tới nơi, ông vào trong mồ và thấy những dây băng nhỏ để đó, và khăn liệm che đầu Người trước đây, khăn này không để lẫn với dây băng, nhưng cuộn lại để riêng một chỗ. Bấy giờ môn đệ kia mới vào, dù ông đã tới mồ trước. Ông thấy và ông tin, vì chưng các ông còn chưa hiểu rằng, theo Kinh Thánh, thì Người phải sống lại từ cõi chết.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 10, 34a. 37-43","info":"“Chúng tôi đã ăn uống với Người, sau khi Người từ cõi chết sống lại”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phê-rô lên tiếng nói rằng: “Như anh em biết điều đã xảy ra trong toàn cõi Giu-đê-a, khởi đầu từ Ga-li-lê-a, sau khi Gio-an rao giảng phép rửa: ấy là Chúa Giê-su thành Na-da-rét. Thiên Chúa đã dùng Thánh Thần và quyền năng mà xức dầu cho Người. Người đi khắp nơi, ban bố ơn lành và chữa mọi người bị quỷ ám, bởi vì Thiên Chúa ở cùng Người. Và chúng tôi, chúng tôi là chứng nhân tất cả những gì Người đã làm trong nước Do-thái, và tại Giê-ru-sa-lem, Người là Ðấng người ta đã giết treo Người trên thập giá. Nhưng ngày thứ ba, Thiên Chúa đã cho Người sống lại và hiện ra không phải với toàn dân, mà là với chúng tôi là nhân chứng Thiên Chúa đã tuyển chọn trước, chính chúng tôi đã ăn uống với Người sau khi Người từ cõi chết sống lại. Và Người đã truyền cho chúng tôi rao giảng cho toàn dân và làm chứng rằng chính Người đã được Thiên Chúa tôn làm quan án xét xử kẻ sống và kẻ chết. Mọi tiên tri đều làm chứng về Người rằng: Tất cả những ai tin vào Người, thì nhờ danh Người mà được tha tội”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 22-23","response":"Ðáp: Ðây là ngày Chúa đã lập ra, chúng ta hãy mừng rỡ hân hoan về ngày đó (c. 24). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Hỡi nhà Ít-ra-en, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Tay hữu Chúa đã hành động mãnh liệt, tay hữu Chúa đã cất nhắc tôi lên. Tôi không chết, nhưng tôi sẽ sống, và tôi sẽ loan truyền công cuộc của Chúa.","Xướng: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta."]},"secondReading":{"excerpt":"Cl 3, 1-4","info":"“Anh em hãy tìm những sự trên trời, nơi Ðức Ki-tô ngự”.","title":"Trích thư Thánh Phao-lô Tông đồ gửi tín hữu Cô-lô-xê.","content":"Anh em thân mến, nếu anh em đã sống lại với Ðức Ki-tô, anh em hãy tìm những sự trên trời, nơi Ðức Ki-tô ngự bên hữu Thiên Chúa. Anh em hãy nghĩ đến những sự trên trời, chứ đừng nghĩ đến những sự dưới đất. Vì anh em đã chết, và sự sống anh em được ẩn giấu với Ðức Ki-tô trong Thiên Chúa. Khi Ðức Ki-tô là sự sống anh em xuất hiện, bấy giờ anh em sẽ xuất hiện với Người trong vinh quang.\r Hoặc đọc: 1 Cr 5, 6b-8\r“Anh em hãy tìm những sự trên trời, nơi Ðức Ki-tô ngự”.\rTrích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.\rAnh em thân mến, anh em không biết sao?: chỉ một tí men là đã đủ làm dậy men cả khối bột! Anh em hãy tẩy trừ men cũ để nên bột mới anh em là bánh không men. Vì Chiên Vượt Qua của ta, là Ðức Ki-tô, đã chịu sát tế. Cho nên ta hãy mừng lễ, đừng với men cũ, và men gian tà, ác độc, nhưng là với Bánh không men của lòng tinh tuyền và chân thật.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Cr 5, 7b-8a","content":"Alleluia, Alleluia – Lễ Vượt Qua của chúng ta là Ðức Ki-tô đã hiến tế vậy chúng ta hãy mừng lễ trong Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 20, 1-9","info":"“Người phải sống lại từ cõi chết”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Ngày đầu tuần, Ma-ri-a Ma-đa-lê-na đi ra mồ từ sáng sớm khi trời còn tối và bà thấy tảng đá đã được lăn ra khỏi mồ, bà liền chạy về tìm Si-môn Phê-rô và người môn đệ kia được Chúa Giê-su yêu mến, bà nói với các ông rằng: “Người ta đã lấy xác Thầy khỏi mồ, và chúng tôi không biết người ta đã để Thầy ở đâu”. Phê-rô và môn đệ kia ra đi đến mồ. Cả hai cùng chạy, nhưng môn đệ kia chạy nhanh hơn Phê-rô, và đến mồ trước. Ông cúi mình xuống thấy những khăn liệm để đó, nhưng ông không vào trong. Vậy Si-môn Phê-rô theo sau cũng tới nơi, ông vào trong mồ và thấy những dây băng nhỏ để đó, và khăn liệm che đầu Người trước đây, khăn này không để lẫn với dây băng, nhưng cuộn lại để riêng một chỗ. Bấy giờ môn đệ kia mới vào, dù ông đã tới mồ trước. Ông thấy và ông tin, vì chưng các ông còn chưa hiểu rằng, theo Kinh Thánh, thì Người phải sống lại từ cõi chết.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 10, 34a. 37-43","info":"“Chúng tôi đã ăn uống với Người, sau khi Người từ cõi chết sống lại”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phêrô lên tiếng nói rằng: “Như anh em biết điều đã xảy ra trong toàn cõi Giuđêa, khởi đầu từ Galilêa, sau khi Gioan rao giảng phép rửa: ấy là Chúa Giêsu thành Nadarét. Thiên Chúa đã dùng Thánh Thần và quyền năng mà xức dầu cho Người. Người đi khắp nơi, ban bố ơn lành và chữa mọi người bị quỷ ám, bởi vì Thiên Chúa ở cùng Người. Và chúng tôi, chúng tôi là chứng nhân tất cả những gì Người đã làm trong nước Do-thái, và tại Giêrusalem, Người là Ðấng người ta đã giết treo Người trên thập giá. Nhưng ngày thứ ba, Thiên Chúa đã cho Người sống lại và hiện ra không phải với toàn dân, mà là với chúng tôi là nhân chứng Thiên Chúa đã tuyển chọn trước, chính chúng tôi đã ăn uống với Người sau khi Người từ cõi chết sống lại. Và Người đã truyền cho chúng tôi rao giảng cho toàn dân và làm chứng rằng chính Người đã được Thiên Chúa tôn làm quan án xét xử kẻ sống và kẻ chết. Mọi tiên tri đều làm chứng về Người rằng: Tất cả những ai tin vào Người, thì nhờ danh Người mà được tha tội”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 22-23","response":"Ðáp: Ðây là ngày Chúa đã lập ra, chúng ta hãy mừng rỡ hân hoan về ngày đó. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Hỡi nhà Israel, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Tay hữu Chúa đã hành động mãnh liệt, tay hữu Chúa đã cất nhắc tôi lên. Tôi không chết, nhưng tôi sẽ sống, và tôi sẽ loan truyền công cuộc của Chúa.","Xướng:  Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta."]},"secondReading":{"excerpt":"Cl 3, 1-4","info":"“Anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, nếu anh em đã sống lại với Ðức Kitô, anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự bên hữu Thiên Chúa. Anh em hãy nghĩ đến những sự trên trời, chứ đừng nghĩ đến những sự dưới đất. Vì anh em đã chết, và sự sống anh em được ẩn giấu với Ðức Kitô trong Thiên Chúa. Khi Ðức Kitô là sự sống anh em xuất hiện, bấy giờ anh em sẽ xuất hiện với Người trong vinh quang.\r Hoặc đọc: 1 Cr 5, 6b-8\r“Anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự”.\rTrích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.\rAnh em thân mến, anh em không biết sao?: chỉ một tí men là đã đủ làm dậy men cả khối bột! Anh em hãy tẩy trừ men cũ để nên bột mới anh em là bánh không men. Vì Chiên Vượt Qua của ta, là Ðức Kitô, đã chịu sát tế. Cho nên ta hãy mừng lễ, đừng với men cũ, và men gian tà, ác độc, nhưng là với Bánh không men của lòng tinh tuyền và chân thật.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lễ Vượt Qua của chúng ta là Ðức Kitô đã hiến tế vậy chúng ta hãy mừng lễ trong Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 20, 1-9","info":"“Người phải sống lại từ cõi chết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Ngày đầu tuần, Maria Mađalêna đi ra mồ từ sáng sớm khi trời còn tối và bà thấy tảng đá đã được lăn ra khỏi mồ, bà liền chạy về tìm Simon-Phêrô và người môn đệ kia được Chúa Giêsu yêu mến, bà nói với các ông rằng: “Người ta đã lấy xác Thầy khỏi mồ, và chúng tôi không biết người ta đã để Thầy ở đâu”. Phêrô và môn đệ kia ra đi đến mồ. Cả hai cùng chạy, nhưng môn đệ kia chạy nhanh hơn Phêrô, và đến mồ trước. Ông cúi mình xuống thấy những khăn liệm để đó, nhưng ông không vào trong. Vậy Simon-Phêrô theo sau cũng tới nơi, ông vào trong mồ và thấy những dây băng nhỏ để đó, và khăn liệm che đầu Người trước đây, khăn này không để lẫn với dây băng, nhưng cuộn lại để riêng một chỗ. Bấy giờ môn đệ kia mới vào, dù ông đã tới mồ trước. Ông thấy và ông tin, vì chưng các ông còn chưa hiểu rằng, theo Kinh Thánh, thì Người phải sống lại từ cõi chết.","end":"Ðó là lời Chúa"}}},
+        "4020": {"A":{"firstReading":{"excerpt":"Cv 2, 42-47","info":"“Tất cả mọi kẻ tin, đều sống hoà hợp với nhau và để mọi sự làm của chung”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi ấy, các anh em bền bỉ tham dự những buổi giáo lý của các Tông đồ, việc thông hiệp huynh đệ, việc bẻ bánh và cầu nguyện. Mọi người đều có lòng kính sợ. Vì các Tông đồ làm nhiều việc phi thường và nhiều phép lạ tại Giêrusalem, nên mọi người đều sợ hãi. Tất cả mọi kẻ tin đều sống hoà hợp với nhau và để mọi sự làm của chung. Họ bán tài sản gia nghiệp, rồi phân phát cho mọi người tuỳ nhu cầu từng người. Hằng ngày họ hợp nhất một lòng một ý cùng nhau ở trong đền thờ, bẻ bánh ở nhà, họ dùng bữa cách vui vẻ đơn sơ; họ ca tụng Thiên Chúa và được toàn dân mến chuộng. Hằng ngày Chúa cho gia tăng số người được cứu rỗi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 2-4. 13-15. 22-24","response":"Ðáp: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hỡi nhà Israel, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi nhà Aaron, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi những người tôn sợ Chúa, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Tôi đã bị đẩy, bị xô cho ngã xuống, nhưng Chúa đã phù trợ tôi. Chúa là sức mạnh, là dũng lực của tôi, và Người trở nên Ðấng cứu độ tôi. Tiếng reo mừng và chiến thắng vang lên trong cư xá những kẻ hiền nhân. Tay hữu Chúa đã hành động mãnh liệt.","Xướng: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta. Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó."]},"secondReading":{"excerpt":"1 Pr 1, 3-9","info":"“Nhờ việc Ðức Giêsu Kitô từ cõi chết sống lại, Người đã tái sinh chúng ta để chúng ta hy vọng được sống”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Chúc tụng Thiên Chúa là Cha Ðức Giêsu Kitô, Chúa chúng ta, vì lòng từ bi cao cả, nhờ việc Ðức Giêsu Kitô từ cõi chết sống lại, Người đã tái sinh chúng ta để chúng ta hy vọng được sống, được hưởng gia nghiệp không hư nát, tinh tuyền, không suy tàn, dành để cho anh em trên trời. Anh em được bảo vệ trong quyền năng của Thiên Chúa, nhờ tin vào sự cứu độ đã được mạc khải trong thời sau hết. Lúc đó anh em sẽ vui mừng, tuy bây giờ anh em phải sầu khổ một ít lâu giữa trăm chiều thử thách, để đức tin anh em được tôi luyện, nên quý hơn vàng được thử lửa bội phần, nhờ đó, anh em được ngợi khen, vinh quang và vinh dự khi Ðức Giêsu Kitô hiện đến. Anh em yêu mến Ngài, dù không thấy Ngài, và anh em tin Ngài, dù bây giờ anh em cũng không thấy Ngài; bởi anh em tin, anh em sẽ được vui mừng vinh quang khôn tả, vì chắc rằng anh em đạt tới cứu cánh của đức tin là phần rỗi linh hồn.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Chúa phán: “Tôma, vì con đã xem thấy Thầy nên con đã tin. Phúc cho những ai đã không thấy mà tin”. – Alleluia."},"gospel":{"excerpt":"Ga 20, 19-31","info":"“Tám ngày sau Chúa Giêsu hiện đến”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Vào buổi chiều ngày thứ nhất trong tuần, những cửa nhà các môn đệ họp đều đóng kín, vì sợ người Do-thái, Chúa Giêsu hiện đến, đứng giữa các ông và nói rằng: “Bình an cho các con”. Khi nói điều đó, Người cho các ông xem tay và cạnh sườn Người. Bấy giờ các môn đệ vui mừng vì xem thấy Chúa. Chúa Giêsu lại phán bảo các ông rằng: “Bình an cho các con. Như Cha đã sai Thầy, Thầy cũng sai các con”. Nói thế rồi, Người thổi hơi và phán bảo các ông: “Các con hãy nhận lấy Thánh Thần, các con tha tội ai, thì tội người ấy được tha. Các con cầm tội ai, thì tội người ấy bị cầm lại”. Bấy giờ trong Mười hai Tông đồ, có ông Tôma gọi là Ðiđymô, không cùng ở với các ông khi Chúa Giêsu hiện đến. Các môn đệ khác đã nói với ông rằng: “Chúng tôi đã xem thấy Chúa”. Nhưng ông đã nói với các ông kia rằng: “Nếu tôi không nhìn thấy vết đinh ở tay Người, nếu tôi không thọc ngón tay vào lỗ đinh, nếu tôi không thọc bàn tay vào cạnh sườn Người, thì tôi không tin”.\rTám ngày sau, các môn đệ lại họp nhau trong nhà và có Tôma ở với các ông. Trong khi các cửa vẫn đóng kín, Chúa Giêsu hiện đến đứng giữa mà phán: “Bình an cho các con”. Ðoạn Người nói với Tôma: “Hãy xỏ ngón tay con vào đây, và hãy xem tay Thầy; hãy đưa bàn tay con ra và xỏ vào cạnh sườn Thầy; chớ cứng lòng, nhưng hãy tin”. Tôma thưa rằng: “Lạy Chúa con, lạy Thiên Chúa của con!” Chúa Giêsu nói với ông: “Tôma, vì con đã xem thấy Thầy, nên con đã tin. Phúc cho những ai đã không thấy mà tin”.\rChúa Giêsu còn làm nhiều phép lạ khác trước mặt các môn đệ, và không có ghi chép trong sách này. Nhưng các điều này đã được ghi chép để anh em tin rằng Chúa Giêsu là Ðấng Kitô, Con Thiên Chúa, và để anh em tin mà được sống nhờ danh Người.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 4, 32-35","info":"“Họ đồng tâm nhất trí”.","title":"Trích sách Tông đồ Công vụ.","content":"Lúc bấy giờ tất cả đoàn tín hữu đông đảo đều đồng tâm nhất trí. Chẳng ai kể của gì mình có là của riêng, song để mọi sự làm của chung. Các tông đồ dùng quyền năng cao cả mà làm chứng việc Chúa Giê-su Ki-tô, Chúa chúng ta, sống lại. Hết thảy đều được mến chuộng. Vì thế, trong các tín hữu, không có ai phải túng thiếu. Vì những người có ruộng nương nhà cửa đều bán đi và bán được bao nhiêu tiền thì đem đặt dưới chân các tông đồ. Và người ta phân phát cho mỗi người tuỳ theo nhu cầu của họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 2-4. 16ab -18. 22-24","response":"Ðáp: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hỡi nhà Ít-ra-en, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi nhà A-ha-ron, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi những người tôn sợ Chúa, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Tay hữu Chúa đã cất nhắc tôi lên, tay hữu Chúa đã hành động mãnh liệt. Tôi không chết, nhưng tôi sẽ sống, và tôi sẽ loan truyền công cuộc của Chúa. Chúa sửa trị, Chúa sửa trị tôi, nhưng Người đã không nạp tôi cho tử thần.","Xướng: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta. Ðây là ngày Chúa đã thực hiện, chúng ta hãy mừng rỡ hân hoan về ngày đó."]},"secondReading":{"excerpt":"1 Ga 5, 1-6","info":"“Mọi cái sinh ra bởi Thiên Chúa đều chiến thắng thế gian”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, ai tin rằng Ðức Giê-su là Ðấng Ki-tô, thì kẻ ấy sinh bởi Thiên Chúa, và ai yêu mến Ðấng sinh thành, thì cũng yêu mến kẻ sinh ra bởi Ðấng đó. Cứ dấu này chúng ta nhận biết rằng chúng ta yêu mến con cái Thiên Chúa, là khi chúng ta yêu mến Thiên Chúa và thực hành các giới răn Người. Vì chưng, lòng yêu mến Thiên Chúa là chúng ta tuân giữ giới răn Người, và giới răn của Người không nặng nề.\rVì những gì sinh bởi Thiên Chúa đều chiến thắng thế gian, và đây là cuộc thắng trận thế gian, là chính đức tin của chúng ta. Ai là người chiến thắng thế gian, nếu không phải là người tin rằng Chúa Giê-su là Con Thiên Chúa? Ðấng đã đến nhờ nước và máu, chính là Ðức Giê-su Ki-tô, không phải trong nước mà thôi, nhưng trong nước và máu nữa, có Thánh Thần làm chứng rằng Chúa Kitô là chân lý.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 20, 29","content":"Alleluia, Alleluia – Chúa phán: “Tô-ma, vì con đã xem thấy Thầy, nên con đã tin. Phúc cho những ai đã không thấy mà tin”. – Alleluia."},"gospel":{"excerpt":"Ga 20, 19-31","info":"“Tám ngày sau Chúa Giê-su hiện đến”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Vào buổi chiều ngày thứ nhất trong tuần, những cửa nhà các môn đệ họp đều đóng kín, vì sợ người Do-thái, Chúa Giê-su hiện đến, đứng giữa các ông và nói rằng: “Bình an cho các con”. Khi nói điều đó, Người cho các ông xem tay và cạnh sườn Người. Bấy giờ các môn đệ vui mừng vì xem thấy Chúa. Chúa Giê-su lại phán bảo các ông rằng: “Bình an cho các con. Như Cha đã sai Thầy, Thầy cũng sai các con”. Nói thế rồi, Người thổi hơi và phán bảo các ông: “Các con hãy nhận lấy Thánh Thần, các con tha tội ai, thì tội người ấy được tha. Các con cầm tội ai, thì tội người ấy bị cầm lại”. Bấy giờ trong Mười hai Tông đồ, có ông Tô-ma gọi là Ði-đy-mô, không cùng ở với các ông, khi Chúa Giê-su hiện đến. Các môn đệ khác đã nói với ông rằng: “Chúng tôi đã xem thấy Chúa”. Nhưng ông đã nói với các ông kia rằng: “Nếu tôi không nhìn thấy vết đinh ở tay Người, nếu tôi không thọc ngón tay vào lỗ đinh, nếu tôi không thọc bàn tay vào cạnh sườn Người, thì tôi không tin”.\rTám ngày sau, các môn đệ lại họp nhau trong nhà và có Tô-ma ở với các ông. Trong khi các cửa vẫn đóng kín, Chúa Giê-su hiện đến đứng giữa mà phán: “Bình an cho các con”. Ðoạn Người nói với Tô-ma: “Hãy xỏ ngón tay con vào đây, và hãy xem tay Thầy; hãy đưa bàn tay con ra và xỏ vào cạnh sườn Thầy; chớ cứng lòng, nhưng hãy tin”. Tô-ma thưa rằng: “Lạy Chúa con, lạy Thiên Chúa của con!” Chúa Giê-su nói với ông: “Tô-ma, vì con đã xem thấy Thầy, nên con đã tin. Phúc cho những ai đã không thấy mà tin”.\rChúa Giê-su còn làm nhiều phép lạ khác trước mặt các môn đệ, và không có ghi chép trong sách này. Nhưng các điều này đã được ghi chép để anh em tin rằng Chúa Giê-su là Ðấng Ki-tô, Con Thiên Chúa, và để anh em tin mà được sống nhờ danh Người.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 5, 12-16","info":"“Số người tin vào Chúa ngày càng gia tăng”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi ấy, các Tông đồ làm nhiều phép lạ và nhiều việc phi thường trong dân, và tất cả mọi người tập họp tại hành lang Salômôn; nhưng không một ai khác dám nhập bọn với các tông đồ. Nhưng dân chúng đều ca tụng các ngài. Số những người nam nữ tin vào Chúa ngày càng gia tăng, đến nỗi họ mang bệnh nhân ra đường phố, đặt lên giường chõng, để khi Phêrô đi ngang qua, ít nữa là bóng của người ngả trên ai trong họ, thì kẻ ấy khỏi bệnh. Ðông đảo dân chúng ở những thành phụ cận Giêrusalem cũng tuôn đến, mang theo bệnh nhân và những người bị quỷ ám. Mọi người đều được chữa lành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 2-4. 22-24. 25-27a","response":"Ðáp: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở (c. 1). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hỡi nhà Israel, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi nhà Aaron, hãy xướng lên: “Ðức từ bi của Người muôn thuở”. Hỡi những người tôn sợ Chúa, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta. Ðây là ngày Chúa đã thực hiện, nên chúng ta hãy mừng rỡ hân hoan về ngày đó.","Xướng: Thân lạy Chúa, xin gia ơn cứu độ; thân lạy Chúa, xin ban cho đời sống phồn vinh. Phúc đức cho Ðấng nhân danh Chúa mà đến; từ nhà Chúa, chúng tôi cầu phúc cho chư vị. Chúa là Thiên Chúa và đã soi sáng chúng tôi."]},"secondReading":{"excerpt":"Kh 1, 9-11a, 12-13. 17-19","info":"“Ta đã chết, nhưng đây Ta vẫn sống đến muôn đời”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Tôi là Gioan, anh em của chư huynh, đồng phần chia sẻ sự gian truân, vương quyền và kiên nhẫn trong Ðức Giêsu Kitô, tôi đã ở đảo Patmô vì lời Chúa và vì làm chứng Ðức Giêsu. Một Chúa Nhật nọ, tôi xuất thần và nghe phía sau tôi có tiếng phán lớn như tiếng loa rằng: “Hãy viết những điều ngươi thấy vào sách và gởi đến bảy giáo đoàn ở Tiểu Á”. Tôi quay lại để xem coi tiếng ai nói với tôi. Vừa quay lại, tôi thấy bảy chân đèn bằng vàng, và ở giữa bảy chân đèn bằng vàng đó tôi thấy một Ðấng giống như Con Người, mặc áo dài và ngang lưng thắt một dây nịt bằng vàng. Vừa trông thấy Người, tôi ngã xuống như chết dưới chân Người; Người đặt tay phải lên tôi và nói: “Ðừng sợ, Ta là Ðấng trước hết và là Ðấng sau cùng, Ta là Ðấng hằng sống; Ta đã chết, nhưng đây Ta vẫn sống đến muôn đời. Ta giữ chìa khoá sự chết và địa ngục. Vậy hãy viết những gì ngươi đã thấy, những điều đang xảy ra và những điều phải xảy ra sau này”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 20, 29","content":"Alleluia, Alleluia – Chúa phán: “Tôma, vì con đã xem thấy Thầy, nên con đã tin. Phúc cho những ai đã không thấy mà tin”. – Alleluia."},"gospel":{"excerpt":"Ga 20, 19-31","info":"“Tám ngày sau Chúa Giêsu hiện đến”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Vào buổi chiều ngày thứ nhất trong tuần, những cửa nhà các môn đệ họp đều đóng kín, vì sợ người Do-thái, Chúa Giêsu hiện đến, đứng giữa các ông và nói rằng: “Bình an cho các con”. Khi nói điều đó, Người cho các ông xem tay và cạnh sườn Người. Bấy giờ các môn đệ vui mừng vì xem thấy Chúa. Chúa Giêsu lại phán bảo các ông rằng: “Bình an cho các con. Như Cha đã sai Thầy, Thầy cũng sai các con”. Nói thế rồi, Người thổi hơi và phán bảo các ông: “Các con hãy nhận lấy Thánh Thần, các con tha tội ai, thì tội người ấy được tha. Các con cầm tội ai, thì tội người ấy bị cầm lại”. Bấy giờ trong Mười hai Tông đồ, có ông Tôma gọi là Ðiđymô, không cùng ở với các ông khi Chúa Giêsu hiện đến. Các môn đệ khác đã nói với ông rằng: “Chúng tôi đã xem thấy Chúa”. Nhưng ông đã nói với các ông kia rằng: “Nếu tôi không nhìn thấy vết đinh ở tay Người, nếu tôi không thọc ngón tay vào lỗ đinh, nếu tôi không thọc bàn tay vào cạnh sườn Người, thì tôi không tin”.\rTám ngày sau, các môn đệ lại họp nhau trong nhà và có Tôma ở với các ông. Trong khi các cửa vẫn đóng kín, Chúa Giêsu hiện đến đứng giữa mà phán: “Bình an cho các con”. Ðoạn Người nói với Tôma: “Hãy xỏ ngón tay con vào đây, và hãy xem tay Thầy; hãy đưa bàn tay con ra và xỏ vào cạnh sườn Thầy; chớ cứng lòng, nhưng hãy tin”. Tôma thưa rằng: “Lạy Chúa con, lạy Thiên Chúa của con!” Chúa Giêsu nói với ông: “Tôma, vì con đã xem thấy Thầy, nên con đã tin. Phúc cho những ai đã không thấy mà tin!”\rChúa Giêsu còn làm nhiều phép lạ khác trước mặt các môn đệ, và không có ghi chép trong sách này. Nhưng các điều này đã được ghi chép để anh em tin rằng Chúa Giêsu là Ðấng Kitô, Con Thiên Chúa, và để anh em tin mà được sống nhờ danh Người.","end":"Ðó là lời Chúa"}}},
+        "4030": {"A":{"firstReading":{"excerpt":"Cv 2, 14. 22-28","info":"“Không thể nào để cho Người bị cầm giữ trong cõi chết”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong ngày lễ Ngũ Tuần, Phêrô cùng với mười một Tông đồ đứng ra, lên tiếng nói rằng: “Hỡi các người Do-thái và tất cả những ai ở Giêrusalem, xin hãy biết điều này và lắng nghe lời tôi! Hỡi những người Israel, hãy nghe những lời này: Ðức Giêsu Nadarét là người đã được Thiên Chúa chứng nhận giữa anh em bằng những việc vĩ đại, những điều kỳ diệu và những phép lạ mà Thiên Chúa đã dùng Người để thực hiện giữa anh em, như chính anh em đã biết. Theo như Thiên Chúa đã định và biết trước, Người đã bị nộp, và anh em đã dùng tay những kẻ độc ác mà hành hạ rồi giết đi. Sau khi bẻ gãy xiềng xích tử thần, Thiên Chúa đã giải thoát Người khỏi những đau khổ của cõi chết mà cho Người phục sinh, vì không thể nào để cho Người bị cầm giữ trong đó. Vì chưng Ðavít đã nói về Người rằng: ‘Tôi hằng chiêm ngưỡng Chúa trước mặt tôi, vì Người ở bên hữu tôi, để tôi không nao núng. Vì thế, lòng tôi hân hoan, miệng lưỡi tôi hát mừng, và xác tôi yên nghỉ trong niềm cậy trông: vì Chúa không để linh hồn tôi trong cõi chết, và không để Ðấng Thánh của Chúa thấy sự hư nát. Chúa đã cho tôi biết con đường sự sống và cho tôi đầy hân hoan tận hưởng nhan thánh Chúa'”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","response":"Ðáp: Chúa sẽ chỉ cho con biết đường lối trường sinh. \r Hoặc đọc: Alleluia.","verses":["Xướng:  Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa. Con thưa cùng Chúa: “Ngài là chúa tể con, Chúa là phần gia nghiệp và phần chén của con, chính Ngài nắm giữ vận mạng của con”.","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo, đó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng:  Bởi thế lòng con vui mừng và linh hồn con hoan hỉ, ngay cả đến xác thịt của con cũng nằm nghỉ an toàn, vì Chúa chẳng bỏ rơi linh hồn con trong Âm phủ, cũng không để thánh nhân của Ngài thấy sự hư nát.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn muôn đời! "]},"secondReading":{"excerpt":"1 Pr 1, 17-21","info":"“Anh em được cứu độ bằng Máu châu báu của Ðức Kitô, Con Chiên tinh tuyền”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, nếu anh em gọi Người là Cha, Ðấng không thiên vị ai khi xét đoán mỗi người theo việc họ làm, thì anh em hãy sống trong sự kính sợ suốt thời anh em còn lưu trên đất khách. Anh em biết rằng không phải bằng vàng bạc hay hư nát mà anh em đã được cứu chuộc khỏi nếp sống phù phiếm tổ truyền, nhưng bằng máu châu báu của Ðức Kitô, Con Chiên tinh tuyền, không tì ố. Người đã được tiền định trước khi tác thành vũ trụ và được tỏ bày trong thời sau hết vì anh em. Nhờ Người, anh em tin vào Thiên Chúa, Ðấng làm cho Người sống lại từ cõi chết, và ban vinh quang cho Người để anh em đặt cả lòng tin và niềm hy vọng nơi Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa Giêsu, xin giải thích cho chúng con những lời Thánh Kinh; xin làm cho tâm hồn chúng con sốt sắng khi nghe Chúa nói với chúng con. – Alleluia."},"gospel":{"excerpt":"Lc 24, 13-35","info":"“Hai ông đã nhận ra Người lúc bẻ bánh”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Cùng ngày thứ nhất trong tuần, có hai môn đệ đi đến một làng tên là Emmaus, cách Giêrusalem độ sáu mươi dặm. Dọc đường, các ông nói với nhau về những việc vừa xảy ra. Ðang khi họ nói truyện và trao đổi ý kiến với nhau, thì chính Chúa Giêsu tiến lại cùng đi với họ, nhưng mắt họ bị che phủ nên không nhận ra Người. Người hỏi: “Các ông có truyện gì vừa đi vừa trao đổi với nhau mà buồn bã vậy?” Một người tên là Clêophas trả lời: “Có lẽ ông là khách hành hương duy nhất ở Giêrusalem mà không hay biết những sự việc vừa xảy ra trong thành mấy ngày nay”. Chúa hỏi: “Việc gì thế?” Các ông thưa: “Sự việc liên can đến ông Giêsu quê thành Nadarét. Người là một vị tiên tri có quyền lực trong hành động và ngôn ngữ, trước mặt Thiên Chúa và toàn thể dân chúng. Thế mà các trưởng tế và thủ lãnh của chúng ta đã bắt nộp Người để xử tử và đóng đinh Người vào thập giá. Phần chúng tôi, chúng tôi vẫn hy vọng Người sẽ cứu Israel. Các việc ấy đã xảy ra nay đã đến ngày thứ ba rồi. Nhưng mấy phụ nữ trong nhóm chúng tôi, quả thật, đã làm chúng tôi lo sợ. Họ đến mồ từ tảng sáng. Và không thấy xác Người, họ trở về nói đã thấy thiên thần hiện ra bảo rằng: Người đang sống. Vài người trong chúng tôi cũng ra thăm mồ và thấy mọi sự đều đúng như lời các phụ nữ đã nói; còn Người thì họ không gặp”.\rBấy giờ Người bảo họ: “Ôi kẻ khờ dại chậm tin các điều tiên tri đã nói! Chớ thì Ðấng Kitô chẳng phải chịu đau khổ như vậy rồi mới được vinh quang sao?” Ðoạn Người bắt đầu từ Môsê đến tất cả các tiên tri, giải thích cho hai ông tất cả các lời Kinh Thánh chỉ về Người. Khi gần đến làng hai ông định tới, Người giả vờ muốn đi xa hơn nữa. Nhưng hai môn đệ nài ép Người rằng: “Mời ông ở lại với chúng tôi, vì trời đã về chiều, và ngày sắp tàn”. Người liền vào với các ông.\rÐang khi cùng các ông ngồi bàn, Người cầm bánh, đọc lời chúc tụng, bẻ ra và trao cho hai ông. Mắt họ sáng ra và nhận ra Người. Ðoạn Người biến mất. Họ bảo nhau: “Phải chăng lòng chúng ta đã chẳng sốt sắng lên trong ta, khi Người đi đường đàm đạo và giải thích Kinh Thánh cho chúng ta đó ư?” Ngay lúc ấy họ chỗi dậy trở về Giêrusalem, và gặp mười một tông đồ và các bạn khác đang tụ họp. Họ bảo hai ông: “Thật Chúa đã sống lại, và đã hiện ra với Simon”. Hai ông cũng thuật lại các việc đã xảy ra dọc đường và hai ông đã nhận ra Người lúc bẻ bánh như thế nào.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 3, 13-15. 17-19","info":"“Ðấng ban sự sống thì anh em đã giết đi, nhưng Thiên Chúa đã cho Người từ cõi chết sống lại”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi ấy, Phêrô nói với dân chúng rằng: “Thiên Chúa Abraham, Thiên Chúa Isaac, Thiên Chúa Giacóp, Thiên Chúa các tổ phụ chúng ta đã làm vinh danh Chúa Giêsu, Con của Ngài, Ðấng mà anh em đã nộp và chối bỏ trước mặt Philatô, trong khi Philatô xét là phải tha cho Người. Anh em đã chối bỏ Ðấng Thánh, Ðấng Công Chính, và xin tha tên sát nhân cho anh em, còn Ðấng ban sự sống thì anh em lại giết đi, nhưng Thiên Chúa đã cho Người từ cõi chết sống lại, điều đó chúng tôi xin làm chứng.\r“Hỡi anh em, thế nhưng tôi biết rằng anh em đã hành động vì không biết, như các thủ lãnh anh em đã làm. Thiên Chúa đã hoàn tất việc Người dùng miệng các tiên tri mà báo trước. Ðức Kitô của Ngài phải chịu khổ hình. Vậy anh em hãy ăn năn hối cải, ngõ hầu tội lỗi anh em được xoá bỏ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 4, 2. 7. 9","response":"Ðáp: Lạy Chúa, xin chiếu sáng thiên nhan Chúa trên mình chúng con! \r Hoặc đọc: Alleluia.","verses":["Xướng: Khi con cầu, nguyện Chúa nghe, lạy Chúa công bình của con, Chúa đã giải thoát con trong cơn khốn khó, nguyện xót thương và nghe tiếng con cầu!","Xướng: Nhiều người nói: “Ai chỉ cho ta thấy điều thiện hảo?” Lạy Chúa, xin chiếu sáng thiên nhan Chúa trên mình chúng con!","Xướng: Ðược an bình, con vừa nằm xuống, thoắt ngủ ngon, vì lạy Chúa, duy có Chúa cho con yên hàn."]},"secondReading":{"excerpt":"1 Ga 2, 1-5a","info":"“Chính Người là của lễ đền tội, không những cho chúng ta mà thôi, nhưng còn cho cả thế gian”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, Cha viết những điều này cho các con, để các con đừng phạm tội. Nhưng nếu có ai đã phạm tội, thì chúng ta có Ðức Giêsu Kitô, Ðấng công chính, làm trạng sư nơi Ðức Chúa Cha. Chính Người là của lễ đền tội chúng ta; không nguyên đền tội chúng ta mà thôi, nhưng còn đền tội cho cả thế gian. Chính nơi điều này mà chúng ta biết rõ được là chúng ta biết Chúa Giêsu, nếu chúng ta giữ các giới răn Người. Ai nói mình biết Người, mà không giữ giới răn Người, là kẻ nói dối, và nơi người ấy không có chân lý. Còn ai giữ lời Người, thì quả thật, tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"x. Lc 24, 32","content":"Alleluia, Alleluia – Lạy Chúa Giêsu, xin giải thích cho chúng con những lời Thánh Kinh; xin làm cho tâm hồn chúng con sốt sắng khi nghe Chúa nói với chúng con. – Alleluia."},"gospel":{"excerpt":"Lc 24, 35-48","info":"“Họ nhận ra được Người khi họ nhận bánh do Người bẻ trao cho”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, hai môn đệ thuật lại các việc đã xảy ra dọc đường và hai ông đã nhận ra Người lúc bẻ bánh như thế nào.\rMọi người còn đang bàn chuyện thì Chúa Giêsu hiện ra đứng giữa họ và phán: “Bình an cho các con! Thầy đây, đừng sợ”. Nhưng mọi người bối rối tưởng mình thấy ma. Chúa lại phán: “Sao các con bối rối và lòng các con lo nghĩ như vậy? Hãy xem tay chân Thầy: chính Thầy đây! Hãy sờ mà xem: ma đâu có xương thịt như các con thấy Thầy có đây”. Nói xong, Người đưa tay chân cho họ xem. Thấy họ còn chưa tin, và vì vui mừng mà bỡ ngỡ, Chúa hỏi: “Ở đây các con có gì ăn không?” Họ dâng cho Người một mẩu cá nướng và một tảng mật ong. Người ăn trước mặt các ông và đưa phần còn lại cho họ. Ðoạn Người phán: “Ðúng như lời Thầy đã nói với các con, khi Thầy còn ở với các con, là cần phải ứng nghiệm hết mọi lời đã ghi chép về Thầy trong luật Môsê, trong sách tiên tri và thánh vịnh”. Rồi Người mở trí cho các ông am hiểu Kinh Thánh.\rNgười lại nói: “Có lời chép rằng: Ðấng Kitô sẽ phải chịu thương khó, và ngày thứ ba Người sẽ từ cõi chết sống lại. Rồi phải nhân danh Người rao giảng sự thống hối và sự ăn năn để lãnh ơn tha tội cho muôn dân, bắt đầu từ thành Giêrusalem. Còn các con, các con sẽ làm chứng nhân về những điều ấy”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 5, 27b-32. 40b-41","info":"“Chúng tôi là chứng nhân các lời đó cùng với Thánh Thần”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, thầy thượng tế hỏi các tông đồ rằng: “Ta đã ra lệnh cấm các ngươi nhân danh ấy mà giảng dạy. Thế mà các ngươi đã giảng dạy giáo lý các ngươi khắp cả Giêrusalem; các ngươi còn muốn làm cho máu người đó lại đổ trên chúng tôi ư?” Phêrô và các tông đồ trả lời rằng: “Phải vâng lời Thiên Chúa hơn là vâng lời người ta. Thiên Chúa cha ông chúng ta đã cho Ðức Giêsu sống lại, Ðấng mà các ông đã giết khi treo Người trên thập giá. Thiên Chúa đã dùng quyền năng tôn Ngài làm thủ lãnh và làm Ðấng Cứu Ðộ, để ban cho Israel được ăn năn sám hối và được ơn tha tội. Chúng tôi là nhân chứng các lời đó cùng với Thánh Thần, Ðấng mà Thiên Chúa đã ban cho mọi kẻ vâng lời Người!” Họ ra lệnh đánh đòn các tông đồ và tuyệt đối cấm không được nhân danh Ðức Giêsu mà giảng dạy nữa, đoạn tha các ngài về. Vậy các ngài ra khỏi công nghị, lòng hân hoan vì thấy mình xứng đáng chịu sỉ nhục vì Danh Ðức Giêsu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5 và 6. 11 và 12a và 13b","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con (c. 2a). \r Hoặc đọc: Alleluia.","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Ngài đã đưa linh hồn con thoát xa Âm phủ, Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Chúa, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ lâu trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời. Chiều hôm có gặp cảnh lệ rơi, nhưng sáng mai lại được mừng vui hoan hỉ.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con, lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con; lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"secondReading":{"excerpt":"Kh 5, 11-14","info":"“Chiên Con đã bị giết, xứng đáng lãnh nhận quyền năng, ...vinh quang và lời chúc tụng”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Tôi là Gioan, đã thấy và nghe tiếng các thiên thần đông đảo vòng quanh ngai vàng, tiếng các sinh vật và các vị kỳ lão; số họ đông hằng ngàn hằng vạn, họ lớn tiếng tung hô rằng: “Chiên Con đã bị giết, xứng đáng lãnh nhận quyền năng, phú quý, khôn ngoan, sức mạnh, danh dự, vinh quang và lời chúc tụng”. Tôi lại nghe mọi thọ tạo trên trời, trên đất, dưới đất, trên biển và dưới biển, tung hô rằng: “Chúc Ðấng ngự trên ngai và chúc Chiên Con được ca tụng, danh dự, vinh quang, quyền năng đến muôn đời”. Bốn sinh vật thưa: “Amen”, và hai mươi bốn vị kỳ lão sấp mặt xuống và thờ lạy Ðấng hằng sống muôn đời.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 27","content":"Alleluia, Alleluia – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Ga 21, 1-14 {hoặc 1-19}","info":"“Chúa Giêsu đến, cầm bánh và cá trao cho họ ăn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, lúc các môn đệ đang ở bờ biển Tibêria, Chúa Giêsu lại hiện đến. Công việc đã xảy ra như sau: “Simon-Phêrô, Tôma (cũng gọi là Ðiđymô), Nathanael quê tại Cana xứ Galilêa, các con ông Giêbêđê, và hai môn đệ khác nữa đang ở với nhau. Simon Phêrô bảo: “Tôi đi đánh cá đây”. Các ông kia nói rằng: “Chúng tôi cùng đi với ông”. Mọi người ra đi xuống thuyền. Nhưng đêm ấy các ông không bắt được con cá nào. Lúc rạng đông, Chúa Giêsu hiện đến trên bờ biển, nhưng các môn đệ không biết là Chúa Giêsu. Người liền hỏi: “Này các con, có gì ăn không?” Họ đồng thanh đáp: “Thưa không”. Chúa Giêsu bảo: “Hãy thả lưới bên hữu thuyền thì sẽ được”. Các ông liền thả lưới và hầu không kéo nổi lưới lên, vì đầy cá. Người môn đệ Chúa Giêsu yêu liền nói với Phêrô: “Chính Chúa đó”. Simon Phêrô nghe nói là Chúa, liền khoác áo vào, vì đang ở trần, rồi nhảy xuống biển. Các môn đệ khác chèo thuyền vào và kéo lưới đầy cá theo, vì không còn xa đất bao nhiêu, chỉ độ hai trăm thước tay.\rKhi các ông lên bờ, thấy có sẵn lửa than, trên để cá và bánh. Chúa Giêsu bảo: “Các con hãy mang cá mới bắt được lại đây”. Simon Phêrô xuống thuyền kéo lưới lên bờ. Lưới đầy toàn cá lớn; tất cả được một trăm năm mươi ba con. Dầu cá nhiều đến thế, nhưng lưới không rách. Chúa Giêsu bảo rằng: “Các con hãy lại ăn”. Không ai trong đám ngồi ăn dám hỏi “Ông là ai?”, vì mọi người đã biết là Chúa. Chúa Giêsu lại gần, lấy bánh trao cho các môn đệ; Người cũng cho cá như thế. Ðây là lần thứ ba, Chúa Giêsu đã hiện ra với các môn đệ khi Người từ cõi chết sống lại.\r[Vậy khi các Ngài đã điểm tâm xong, Chúa Giêsu hỏi Simon Phêrô rằng: “Simon, con ông Gioan, con có yêu mến Thầy hơn những người này không?” Ông đáp: “Thưa Thầy: Có, Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên con của Thầy”. Người lại hỏi: “Simon, con ông Gioan, con có yêu mến Thầy không?” Ông đáp: “Thưa Thầy: Có, Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên con của Thầy”. Người hỏi ông lần thứ ba: “Simon, con ông Gioan, con có yêu mến Thầy không?” Phêrô buồn phiền, vì thấy Thầy hỏi lần thứ ba: “Con có yêu mến Thầy không?” Ông đáp: “Thưa Thầy, Thầy biết mọi sự: Thầy biết con yêu mến Thầy”. Người bảo ông: “Con hãy chăn dắt các chiên mẹ của Thầy. Thật, Thầy bảo thật cho con biết: khi con còn trẻ, con tự thắt lưng lấy và đi đâu mặc ý, nhưng khi con già, con sẽ giang tay ra, người khác sẽ thắt lưng cho con và dẫn con đến nơi con không muốn đến”. Chúa nói thế có ý ám chỉ Phêrô sẽ chết cách nào để làm sáng danh Thiên Chúa. Phán những lời ấy đoạn, Người bảo ông: “Con hãy theo Thầy”.]","end":"Ðó là lời Chúa"}}},
+        "4040": {"A":{"firstReading":{"excerpt":"Cv 2, 14a. 36-41","info":"“Thiên Chúa đã tôn Người làm Chúa và làm Ðấng Kitô”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong ngày lễ Ngũ Tuần, Phêrô cùng với mười một Tông đồ đứng ra, lên tiếng nói rằng: “Xin toàn thể nhà Israel hãy nhận biết chắc rằng: Thiên Chúa đã tôn Ðức Giêsu mà anh em đã đóng đinh, lên làm Chúa và làm Ðấng Kitô”.\rNghe những lời nói trên, họ đau đớn trong lòng, nói cùng Phêrô và các Tông đồ khác rằng: “Thưa các ông, chúng tôi phải làm gì?” Phêrô nói với họ: “Anh em hãy ăn năn sám hối, và mỗi người trong anh em hãy chịu phép rửa nhân danh Ðức Giêsu Kitô để được tha tội; và anh em nhận lãnh ơn Thánh Thần. Vì chưng, đó là lời hứa cho anh em, con cái anh em, và mọi người sống ở phương xa mà Chúa là Thiên Chúa chúng ta sẽ kêu gọi đến”. Phêrô còn minh chứng bằng nhiều lời khác nữa, và khuyên bảo họ mà rằng: “Anh em hãy tự cứu mình khỏi dòng dõi gian tà này”. Vậy những kẻ chấp nhận lời ngài giảng, đều chịu phép rửa, và ngày hôm ấy có thêm chừng ba ngàn người gia nhập đạo.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi. \r Hoặc đọc: Alleluia.","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa), dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ ngay trước mặt những kẻ đối phương; đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"secondReading":{"excerpt":"1 Pr 2, 20b-25","info":"“Anh em đã trở về cùng Ðấng canh giữ linh hồn anh em”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, khi làm việc lành, nếu anh em phải nhẫn nhục chịu đau khổ, đó mới là ân phúc trước mặt Thiên Chúa. Anh em được gọi làm việc đó, vì Ðức Kitô đã chịu đau khổ cho chúng ta, lưu lại cho anh em một gương mẫu để anh em theo vết chân Người. Người là Ðấng không hề phạm tội, và nơi miệng Người không thấy điều gian trá. Bị phỉ báng, Người không phỉ báng lại; bị hành hạ, Người không ngăm đe; Người phó mình cho Ðấng xét xử công minh; chính Người đã gánh vác tội lỗi chúng ta nơi thân xác Người trên cây khổ giá, để một khi đã chết cho tội lỗi, chúng ta sống cho sự công chính; nhờ vết thương của Người, anh em đã được chữa lành. Xưa kia, anh em như những chiên lạc, nhưng giờ đây, anh em đã trở về cùng vị mục tử và Ðấng canh giữ linh hồn anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 14","content":"Alleluia, Alleluia – Chúa phán: “Ta là mục tử tốt lành, Ta biết các chiên Ta, và các chiên Ta biết Ta”. – Alleluia."},"gospel":{"excerpt":"Ga 10, 1-10","info":"“Ta là cửa chuồng chiên”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán rằng: “Thật, Ta bảo thật cùng các ngươi, ai không qua cửa mà vào chuồng chiên, nhưng trèo vào lối khác, thì người ấy là kẻ trộm cướp. Còn ai qua cửa mà vào, thì là kẻ chăn chiên. Kẻ ấy sẽ được người giữ cửa mở cho, và chiên nghe theo tiếng kẻ ấy. Kẻ ấy sẽ gọi đích danh từng con chiên mình và dẫn ra. Khi đã lùa chiên mình ra ngoài, kẻ ấy đi trước, và chiên theo sau, vì chúng quen tiếng kẻ ấy. Chúng sẽ không theo người lạ, trái lại, còn trốn tránh, vì chúng không quen tiếng người lạ”. Chúa Giêsu phán dụ ngôn này, nhưng họ không hiểu Người muốn nói gì. Bấy giờ Chúa Giêsu nói thêm: “Thật, Ta bảo thật các ngươi: Ta là cửa chuồng chiên. Tất cả những kẻ đã đến trước đều là trộm cướp, và chiên đã không nghe chúng. Ta là cửa, ai qua Ta mà vào, thì sẽ được cứu rỗi, người ấy sẽ ra vào và tìm thấy của nuôi thân. Kẻ trộm có đến thì chỉ đến để ăn trộm, để sát hại và phá huỷ. Còn Ta, Ta đến để cho chúng được sống và được sống dồi dào”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 4, 8-12","info":"“Ơn cứu độ không gặp được ở nơi một ai khác”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phê-rô được đầy Thánh Thần, đã nói: “Thưa chư vị Thủ lãnh toàn dân và Kỳ lão, xin hãy nghe, nhân vì hôm nay chúng tôi bị đem ra xét hỏi về việc thiện đã làm cho một người tàn tật, về cách thức mà con người đó đã được chữa khỏi, xin chư vị và toàn dân Ít-ra-en biết cho rằng: Chính nhờ danh Ðức Giê-su Ki-tô Na-da-rét, Chúa chúng ta, Người mà chư vị đã đóng đinh, và Thiên Chúa đã cho từ cõi chết sống lại, chính nhờ danh Người mà anh này được lành mạnh như chư vị thấy đây. Chính người là viên đá đã bị chư vị là thợ xây loại ra, đã trở thành viên Ðá Góc tường; và ơn cứu độ không gặp được ở nơi một ai khác. Bởi chưng, không một Danh nào khác ở dưới gầm trời đã được ban tặng cho loài người, để phải nhờ Danh đó mà chúng ta được cứu độ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1 và 8-9. 21-23. 26 và 28cd và 29","response":"Ðáp: Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường (c. 22). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Tìm đến nương tựa Chúa, thì tốt hơn nương tựa ở loài người. Tìm đến nương tựa Chúa, thì tốt hơn nương tựa những bậc quân vương. ","Xướng: Con cảm tạ Chúa vì Chúa đã nghe con, và đã trở nên Ðấng cứu độ con. Phiến đá mà những người thợ xây loại bỏ, đã biến nên tảng đá góc tường. Việc đó đã do Chúa làm ra, việc đó kỳ diệu trước mắt chúng ta. ","Xướng: Phúc đức cho Ðấng nhân danh Chúa mà đến, từ nhà Chúa, chúng tôi cầu phúc cho chư vị. Chúa là Thiên Chúa của con và con cảm tạ Chúa, lạy Chúa con, con hoan hô chúc tụng Ngài. Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Ngài muôn thuở. "]},"secondReading":{"excerpt":"1 Ga 3, 1-2","info":"“Người thế nào, chúng ta sẽ thấy như vậy”.","title":"Trích thư thứ nhất của Thánh Gio-an Tông đồ.","content":"Các con thân mến, các con hãy coi: tình yêu của Chúa Cha đối với chúng ta thế nào, khiến chúng ta được gọi là con cái Thiên Chúa, và sự thật là thế. Vì đó mà thế gian không nhận biết chúng ta, vì thế gian không biết Người. Các con thân mến, hiện nay, chúng ta là con cái Thiên Chúa, còn chúng ta sẽ ra sao thì vẫn chưa được tỏ ra. Chúng ta biết rằng: khi được tỏ ra, thì chúng ta sẽ giống như Người, vì Người thế nào, chúng ta sẽ thấy như vậy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 14","content":"Alleluia, Alleluia – Chúa phán: “Ta là mục tử tốt lành, Ta biết các chiên Ta, và các chiên Ta biết Ta”. – Alleluia."},"gospel":{"excerpt":"Ga 10, 11-18","info":"“Mục tử tốt lành thí mạng sống vì chiên”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Chúa Giê-su phán: “Ta là mục tử tốt lành. Mục tử tốt lành thí mạng sống vì chiên. Kẻ làm thuê không phải là chủ chiên, và các chiên không phải là của người ấy, nên khi thấy sói đến, nó bỏ chiên mà trốn. Sói sẽ bắt chiên và làm chúng tản mát. Kẻ chăn thuê chạy trốn, vì là đứa chăn thuê, và chẳng tha thiết gì đến đàn chiên. Ta là mục tử tốt lành, Ta biết các chiên Ta, và các chiên Ta biết Ta. Cũng như Cha biết Ta và Ta biết Cha, và Ta thí mạng sống vì đàn chiên. Ta còn những chiên khác không thuộc đàn này; cả những chiên đó Ta cũng phải mang về đàn; chúng sẽ nghe tiếng Ta. Và sẽ chỉ có một đàn chiên và một chủ chiên. Vì lẽ này mà Cha yêu mến Ta, là Ta thí mạng sống để rồi lấy lại. Không ai cất mạng sống khỏi Ta, nhưng tự Ta, Ta thí mạng sống. Ta có quyền thí mạng sống và cũng có quyền lấy lại. Ðó là mệnh lệnh Ta đã nhận nơi Cha Ta”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 13, 14. 43-52","info":"“Ðây chúng tôi quay về phía các dân ngoại”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phaolô và Barnaba sang qua Perghê và đến Antiôkia xứ Pisiđia; ngày Sabbat, các ngài vào ngồi trong hội đường. Có nhiều người Do-thái và tòng giáo theo các ngài, được các ngài khuyên bảo bền đỗ trong ơn nghĩa Chúa.\rÐến ngày Sabbat sau, hầu hết cả thành đều đến nghe lời Thiên Chúa. Các người Do-thái thấy đám đông dân chúng, thì đâm ghen tương, nói lộng ngôn, chống lại các điều Phaolô giảng dạy. Phaolô và Barnaba can đảm nói rằng: “Phải giảng lời Thiên Chúa cho các ngươi trước tiên, nhưng vì các ngươi từ chối lời Thiên Chúa và tự cho mình không xứng đáng sống đời đời, thì đây chúng tôi quay về phía các dân ngoại; vả lại Chúa đã truyền lệnh cho chúng tôi rằng: “Ta đã đặt ngươi làm ánh sáng muôn dân, để ngươi nên ơn cứu độ cho đến tận cùng trái đất”. Nghe vậy các dân ngoại hân hoan ca tụng lời Chúa; những ai được Chúa tiền định hưởng sự sống đời đời, thì tin theo, nên lời Chúa được rao giảng khắp cả vùng.\rNhững người Do-thái xúi giục các phụ nữ khá giả đã tòng giáo và các thân hào trong thành bắt bớ Phaolô và Barnaba, rồi trục xuất hai ngài ra khỏi ranh giới xứ họ. Còn hai ngài, sau khi phủi bụi chân lại cho họ, hai ngài đi đến Icôniô. Còn các môn đồ thì đầy hân hoan và Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 5","response":"Ðáp: Ta là dân tộc, là đoàn chiên Chúa chăn nuôi (c. 3c). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hãy phụng sự Chúa với niềm vui vẻ; hãy vào trước thiên nhan với lòng hân hoan khoái trá.","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người, ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn muôn thế hệ."]},"secondReading":{"excerpt":"Kh 7, 9. 14b-17","info":"“Chiên Con sẽ thống trị họ, và dẫn họ đến nguồn nước ban sự sống”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Tôi là Gioan, đã xem thấy một đám đông không thể đếm được, họ thuộc mọi nòi giống, dòng họ, dân tộc và tiếng nói, đứng trước ngai vàng và trước Con Chiên; họ mặc áo trắng dài, tay cầm lá vạn tuế.\rVà một bô lão đã nói với tôi: “Ðây là những người từ đau khổ lớn lao mà đến, họ giặt áo và tẩy nó trắng trong máu Con Chiên. Vì thế, họ ở trước ngai vàng Thiên Chúa, và ngày đêm phụng sự Người trong đền thánh Chúa, Ðấng ngự trên ngai vàng đặt ở giữa họ. Họ sẽ không còn đói khát; mặt trời và nóng bức sẽ không làm khổ họ, vì Con Chiên đứng trước ngai vàng sẽ thống trị họ, sẽ dẫn họ đến nguồn nước ban sự sống, và Thiên Chúa sẽ lau hết mọi giọt lệ nơi mắt họ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 14","content":"Alleluia, Alleluia – Chúa phán: “Ta là mục tử tốt lành, Ta biết các chiên Ta, và các chiên Ta biết Ta”. – Alleluia."},"gospel":{"excerpt":"Ga 10, 27-30","info":"“Ta ban cho các chiên Ta được sống đời đời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán rằng: “Chiên Ta thì nghe tiếng Ta, Ta biết chúng và chúng theo Ta. Ta cho chúng được sống đời đời; chúng sẽ không bao giờ hư mất, và không ai có thể cướp được chúng khỏi tay Ta. Ðiều mà Cha Ta ban cho Ta, thì cao trọng hơn tất cả, và không ai có thể cướp được khỏi tay Cha Ta. Ta và Cha Ta là một”.","end":"Ðó là lời Chúa"}}},
+        "4050": {"A":{"firstReading":{"excerpt":"Cv 6, 1-7","info":"“Họ chọn bảy người đầy Thánh Thần”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, số môn đồ gia tăng, nên xảy ra việc các người Hy-lạp kêu trách các người Do-thái, vì trong việc phục vụ hằng ngày, người ta khinh miệt các bà goá trong nhóm họ. Nên Mười hai Vị triệu tập toàn thể môn đồ đến và bảo: “Chúng tôi bỏ việc rao giảng lời Chúa mà lo đi giúp bàn, thì không phải lẽ. Vậy thưa anh em, anh em hãy chọn lấy bảy người trong anh em có tiếng tốt, đầy Thánh Thần và khôn ngoan, để chúng tôi đặt họ làm việc đó. Còn chúng tôi, thì sẽ chuyên lo cầu nguyện và phục vụ lời Chúa”.\rCả đoàn thể đều tán thành lời các ngài, và chọn Têphanô, một người đầy đức tin và Thánh Thần, và chọn Philipphê, Prôcô, Nicanô, Timon, Parmêna, và Nicôla quê ở Antiôkia. Họ đưa mấy vị đó đến trước mặt các Tông đồ. Các ngài cầu nguyện và đặt tay trên các vị đó.\rLời Chúa lan tràn, và số môn đồ ở Giêrusalem gia tăng rất nhiều. Cũng có đám đông tư tế vâng phục đức tin.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 18-19","response":"Ðáp: Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, như chúng con đã trông cậy Chúa. \r Hoặc đọc: Alleluia.","verses":["Xướng:  Người hiền đức, hãy hân hoan trong Chúa! Ca ngợi là việc của những kẻ lòng ngay. Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa.","Xướng:Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng Chúa.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Người, nhìn xem những ai cậy trông ân sủng của Người, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn."]},"secondReading":{"excerpt":"1 Pr 2, 4-9","info":"“Anh em là dòng giống được tuyển chọn, là hàng tư tế vương giả”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, khi đến cùng Chúa là tảng đá sống động, bị người ta loại bỏ, nhưng đã được Thiên Chúa tuyển chọn và tôn vinh, chính anh em như những tảng đá sống động, xây dựng toà nhà thiêng liêng, chức vụ tư tế thánh thiện, để hiến dâng của lễ thiêng liêng đáng Thiên Chúa chấp nhận nhờ Ðức Giêsu Kitô. Vì thế, có lời Thánh Kinh rằng: “Ðây Ta đặt tại Sion tảng đá góc tường, được tuyển chọn và quý giá, ai tin Người, sẽ không phải hổ thẹn”. Vậy, vinh dự cho anh em là những kẻ tin; nhưng đối với những kẻ không tin, thì tảng đá mà thợ xây loại bỏ, đã trở thành đá góc tường, đá vấp ngã và đá chướng ngại cho những kẻ chống lại và không tin lời Chúa, và số phận của họ là thế. Còn anh em là dòng giống được tuyển chọn, là hàng tư tế vương giả, là dân tộc thánh thiện, dân riêng của Chúa, để rao giảng quyền năng của Ðấng đã gọi anh em ra khỏi tối tăm mà vào ánh sáng kỳ diệu của Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 6","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Ga 14, 1-12","info":"“Thầy là đường, là sự thật và là sự sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Lòng các con đừng xao xuyến. Hãy tin vào Thiên Chúa và tin vào Thầy. Trong nhà Cha Thầy có nhiều chỗ ở, nếu không, Thầy đã nói với các con rồi; Thầy đi để dọn chỗ cho các con. Và khi Thầy đã ra đi và dọn chỗ cho các con rồi, Thầy sẽ trở lại đem các con đi với Thầy, để Thầy ở đâu thì các con cũng ở đó. Thầy đi đâu, các con đã biết đường rồi”. Ông Tôma thưa Người rằng: “Lạy Thầy, chúng con không biết Thầy đi đâu, làm sao chúng con biết đường đi?” Chúa Giêsu đáp: “Thầy là đường, là sự thật và là sự sống. Không ai đến được với Cha mà không qua Thầy. Nếu các con biết Thầy, thì cũng biết Cha Thầy. Ngay từ bây giờ các con biết và đã xem thấy Người”. Philipphê thưa: “Lạy Thầy, xin tỏ cho chúng con xem thấy Cha, và như thế là đủ cho chúng con”. Chúa Giêsu nói cùng ông rằng: “Thầy ở với các con bấy lâu rồi, thế mà con chưa biết Thầy ư, Philipphê? Ai thấy Thầy là xem thấy Cha, sao con lại nói “Xin tỏ cho chúng con xem thấy Cha”? Con không tin rằng Thầy ở trong Cha và Cha ở trong Thầy ư? Những điều Thầy nói với các con, không phải tự mình mà nói, nhưng chính Cha ở trong Thầy, Ngài làm mọi việc. Các con hãy tin rằng Thầy ở trong Cha, và Cha ở trong Thầy. Ít ra các con hãy tin vì các việc Thầy đã làm. Thật, Thầy bảo thật các con: Ai tin vào Thầy, người ấy sẽ làm những việc Thầy đã làm. Người ấy còn làm được những việc lớn lao hơn, vì Thầy về với Cha”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 9, 26-31","info":"“Ngài thuật lại cho các ông biết trên đường đã thấy Chúa thế nào”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, khi tới Giêrusalem, Saolô tìm cách tiếp xúc với các môn đệ; nhưng mọi người đều sợ ngài, không tin rằng ngài đã trở thành môn đệ. Barnaba dẫn ngài đến gặp các Tông đồ, và ngài thuật lại cho các ông biết trên đường ngài đã thấy Chúa thế nào, đã được Chúa phán dạy, và tại Ðamas ngài dạn dĩ xưng danh Ðức Giêsu thế nào. Và từ đó, ngài ra vào Giêrusalem với các ông, và dạn dĩ xưng danh Chúa. Ngài cũng giảng dạy cho dân ngoại, và tranh luận với những người Hy-lạp, nên họ tìm cách giết ngài. Các anh em biết việc đó, nên đem ngài xuống Xêsarêa, rồi tiễn đưa ngài về Tarsê.\rHội Thánh được bình an trong miền Giuđêa, Galilêa và Samaria, sống trong sự kính sợ Chúa, được xây dựng và đầy ơn an ủi của Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 21, 26b-27. 28 và 30. 31-32","response":"Ðáp: Lạy Chúa, bởi Chúa mà lời con ca ngợi vang lên trong đại hội. \r Hoặc đọc: Alleluia.","verses":["Xướng: Bởi Chúa mà lời con ca ngợi vang lên trong đại hội. Con sẽ làm trọn những lời khấn hứa của con, trước mặt những người tôn sợ Chúa. Bạn cơ bần sẽ ăn và được no nê, những kẻ tìm kiếm Chúa sẽ ca khen Chúa: “Tâm hồn các bạn hãy vui sống tới muôn đời”.","Xướng: Thiên hạ sẽ ghi lòng và trở về với Chúa, khắp cùng bờ cõi địa cầu; và toàn thể bá tánh chư dân sẽ phủ phục trước thiên nhan Chúa. Bao người ngủ trong lòng đất sẽ tôn thờ duy một Chúa; bao kẻ nằm xuống bụi tro sẽ sấp mình trước thiên nhan. Và linh hồn con sẽ sống cho chính Chúa.","Xướng: Miêu duệ con sẽ phục vụ Ngài, sẽ tường thuật về Chúa cho thế hệ tương lai, và chúng kể cho dân hậu sinh biết đức công minh Chúa, rằng: “Ðiều đó Chúa đã làm”."]},"secondReading":{"excerpt":"1 Ga 3, 18-24","info":"“Ðây là giới răn của Người: là chúng ta phải yêu thương nhau”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, chúng ta đừng yêu bằng lời nói và miệng lưỡi, nhưng bằng việc làm và chân thật. Do đó, chúng ta biết mình thuộc về sự thật, và sẽ được vững lòng trước mặt Chúa. Vì nếu lòng chúng ta có khiển trách chúng ta, thì Thiên Chúa còn lớn hơn lòng chúng ta và Người thông biết mọi sự.\rCác con thân mến, nếu lòng chúng ta không khiển trách, thì chúng ta tin tưởng nơi Thiên Chúa, và bất cứ điều gì chúng ta xin, thì chúng ta cũng được Người ban cho, vì chúng ta giữ giới răn Người và làm điều đẹp lòng Người.\rVà đây là giới răn của Người: Chúng ta phải tin vào thánh danh Con của Người là Chúa Giêsu Kitô, và phải thương yêu nhau, như Người đã ban giới răn cho chúng ta. Ai giữ các giới răn của Người, thì ở trong Người và Người ở trong họ. Do điều này mà chúng ta biết Người ở trong chúng ta, đó là Thánh Thần mà Người đã ban cho chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 15, 4 và 5b","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy ở trong Thầy, và Thầy ở trong các con; ai ở trong Thầy, kẻ ấy sẽ sinh nhiều trái”. – Alleluia."},"gospel":{"excerpt":"Ga 15, 1-8","info":"“Ai ở trong Thầy và Thầy ở trong người ấy, kẻ ấy sinh nhiều trái”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy là cây nho thật, và Cha Thầy là người trồng nho. Nhành nào trong Thầy không sinh trái thì Người chặt đi, còn nhành nào sinh trái thì Người tỉa sạch để nó sai trái hơn. Các con đã được tỉa sạch nhờ lời Thầy đã nói với các con. Các con ở trong Thầy, và Thầy ở trong các con. Cũng như nhành nho tự nó không thể sinh trái được, nếu không dính liền với cây nho; các con cũng vậy, nếu không ở trong Thầy.\r“Thầy là cây nho, các con là nhành. Ai ở trong Thầy và Thầy ở trong người ấy, kẻ ấy sẽ sinh nhiều trái, vì không có Thầy, các con không thể làm được gì. Ai không ở trong Thầy, thì bị vứt ra ngoài như ngành nho, và sẽ khô héo, người ta sẽ thu lại, quăng vào lửa cho nó cháy đi. Nếu các con ở trong Thầy, và lời Thầy ở trong các con, thì các con muốn gì cứ xin, và sẽ được. Ðây là điều làm Cha Thầy được vinh hiển là các con sinh nhiều trái, và như thế các con trở nên môn đệ của Thầy”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 14, 20b-26","info":"“Các ngài thuật lại những gì Thiên Chúa đã làm với các ngài”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phaolô và Barnaba trở lại Lystra, Icôniô và Antiôkia, củng cố tinh thần các môn đồ, khuyên bảo họ giữ vững đức tin mà rằng: “Chúng ta phải trải qua nhiều nỗi gian truân mới được vào nước Thiên Chúa”. Nơi mỗi hội thánh, các ngài đặt những vị niên trưởng, rồi ăn chay cầu nguyện, trao phó họ cho Chúa là Ðấng họ tin theo.\rSau đó, các ngài sang Pisiđia, đi đến Pamphylia. Sau khi rao giảng lời Chúa tại Perghê, các ngài xuống Attilia, rồi từ đó xuống tàu trở về Antiôkia, nơi mà trước đây các ngài đã được trao phó cho ơn Chúa để làm công việc các ngài mới hoàn thành. Khi đến nơi, các ngài tụ họp giáo đoàn, thuật cho họ nghe những gì Thiên Chúa đã làm với các ngài và đã mở lòng cho nhiều dân ngoại nhận biết đức tin.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 8-9. 10-11. 12-13ab","response":"Ðáp: Lạy Chúa con, lạy Thiên Chúa, con sẽ chúc tụng danh Chúa đến muôn đời (c. 1). \r Hoặc đọc: Alleluia.","verses":["Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Ðể con cái loài người nhận biết quyền năng và vinh quang cao cả nước Chúa. Nước Ngài là nước vĩnh cửu muôn đời, chủ quyền Ngài tồn tại qua muôn thế hệ."]},"secondReading":{"excerpt":"Kh 21, 1-5a","info":"“Thiên Chúa sẽ lau khô mọi giọt lệ ở mắt họ”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Tôi là Gioan đã thấy trời mới và đất mới. Vì trời cũ và đất cũ đã qua đi, và biển cũng không còn nữa. Và tôi là Gioan đã thấy thành thánh Giêrusalem mới, tự trời xuống, từ nơi Thiên Chúa: tề chỉnh như tân nương được trang điểm cho tân lang của mình. Và tôi nghe có tiếng lớn tự ngai vàng phán ra: “Ðây là Thiên Chúa ở với loài người, và chính Thiên Chúa sẽ ở với họ. Người sẽ lau khô mọi giọt lệ ở mắt họ. Sự chết chóc sẽ không còn nữa, cũng không còn than khóc, không còn kêu la, không còn đau khổ: bởi vì các việc cũ đã qua đi”. Và Ðấng ngự trên ngai vàng đã phán rằng: “Này đây, Ta đổi mới mọi sự”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 13, 34","content":"Alleluia, Alleluia – Chúa phán: “Thầy ban cho các con điều răn mới, là các con hãy yêu thương nhau, như Thầy đã yêu thương các con”. – Alleluia."},"gospel":{"excerpt":"Ga 13, 31-33a. 34-35","info":"“Thầy ban cho các con điều răn mới, là các con hãy yêu thương nhau”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi Giuđa ra khỏi phòng tiệc, Chúa Giêsu liền phán: “Bây giờ Con Người được vinh hiển và Thiên Chúa được vinh hiển nơi Người. Nếu Thiên Chúa được vinh hiển nơi Người, thì Thiên Chúa lại cho Người được vinh hiển nơi chính mình, và Thiên Chúa sẽ cho Người được vinh hiển.\r“Các con yêu quý, Thầy chỉ còn ở với các con một ít nữa thôi. Thầy ban cho các con điều răn mới, là các con hãy yêu thương nhau. Như Thầy đã yêu thương các con, thì các con cũng hãy yêu thương nhau. Căn cứ vào điều này mà mọi người nhận biết các con là môn đệ của Thầy, là nếu các con yêu thương nhau”.","end":"Ðó là lời Chúa"}}},
+        "4060": {"A":{"firstReading":{"excerpt":"Cv 8, 5-8. 14-17","info":"“Các ngài đặt tay trên họ, và họ nhận lãnh Thánh Thần”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Philipphê đi xuống một thành thuộc xứ Samaria, rao giảng Ðức Kitô cho họ. Dân chúng chú ý đến những lời Philipphê rao giảng, vì họ cũng nghe biết và xem thấy các phép lạ ngài làm. Quỷ ô uế đã ám nhiều người trong họ, lúc đó kêu lớn tiếng và xuất ra. Nhiều người bất toại và què quặt được chữa lành. Bởi đó cả thành được vui mừng khôn tả.\rKhi các tông đồ ở Giêrusalem nghe tin Samaria đón nhận lời Thiên Chúa, liền gởi Phêrô và Gioan đến với họ. Khi đến nơi, hai ngài cầu nguyện cho họ được nhận lãnh Thánh Thần: vì chưa có ai trong họ được nhận lãnh Thánh Thần, họ mới chỉ được chịu phép rửa nhân danh Chúa Giêsu. Bấy giờ các ngài đặt tay trên họ, và họ nhận lãnh Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 65, 1-3a. 4-5. 6-7a. 16 và 20","response":"Ðáp: Toàn thể đất nước, hãy reo mừng Thiên Chúa! \r Hoặc đọc: Alleluia.","verses":["Xướng: Toàn thể đất nước, hãy reo mừng Thiên Chúa! Hãy ca ngợi vinh quang danh Người; hãy kính dâng Người lời khen ngợi hiển vinh. Hãy thưa cùng Thiên Chúa: kinh ngạc thay sự nghiệp Chúa!","Xướng: Toàn thể đất nước thờ lạy và ca khen Ngài, ca khen danh thánh của Ngài. Hãy tới và nhìn coi sự nghiệp của Thiên Chúa, Người thi thố những chuyện kinh ngạc giữa con cái người ta!","Xướng: Người biến bể khơi thành nơi khô cạn, người ta đã đi bộ tiến qua sông, bởi đó ta hãy hân hoan trong Chúa! Với quyền năng, Người thống trị tới muôn đời.","Xướng: Phàm ai tôn sợ Chúa, hãy đến, hãy nghe tôi kể lại, Chúa đã làm cho linh hồn tôi những điều trọng đại biết bao. Chúc tụng Chúa là Ðấng không hất hủi lời tôi nguyện, và không rút lại lòng nhân hậu đối với tôi."]},"secondReading":{"excerpt":"1 Pr 3, 15-18","info":"“Người đã chết theo thể xác, nhưng đã nhờ Thần Linh mà sống lại”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, anh em hãy tôn thờ Chúa Kitô trong lòng anh em, hãy luôn luôn sẵn sàng trả lời thoả mãn cho mọi kẻ hỏi lý do của niềm hy vọng nơi anh em, nhưng phải làm cách hiền từ, kính cẩn, hãy có lương tâm ngay chính, để những kẻ lăng mạ đời sống đạo đức của anh em trong Ðức Kitô, phải hổ thẹn về điều họ gièm pha anh em. Vì nếu Thiên Chúa muốn, thì thà làm việc thiện mà đau khổ còn hơn là làm điều gian ác. Vì Ðức Kitô đã chết một lần cho tội lỗi chúng ta, Người là Ðấng công chính thay cho kẻ bất công, để hiến dâng chúng ta cho Thiên Chúa; thật ra Người đã chết theo thể xác, nhưng đã nhờ Thần Linh mà sống lại.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Ga 14, 15-21","info":"“Thầy sẽ xin Cha và Người sẽ ban cho các con một Ðấng Phù Trợ khác“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu các con yêu mến Thầy, thì hãy giữ giới răn Thầy. Và Thầy sẽ xin Cha, và Người sẽ ban cho các con một Ðấng Phù Trợ khác, để Ngài ở với các con luôn mãi. Ngài là Thần Chân Lý mà thế gian không thể đón nhận, vì thế gian không thấy và cũng chẳng biết được Ngài; còn các con, các con biết Ngài, vì Ngài sẽ ở nơi các con và ở trong các con. Thầy sẽ không bỏ các con mồ côi: Thầy sẽ đến với các con. Một ít nữa, thế gian sẽ không còn thấy Thầy. Phần các con, các con thấy Thầy vì Thầy sống và các con cũng sẽ sống. Trong ngày đó, các con sẽ hiểu biết rằng Thầy ở trong Cha Thầy, và các con ở trong Thầy, và Thầy ở trong các con. Ai nhận các luật Thầy truyền và giữ các luật đó, thì người ấy là kẻ mến Thầy. Và ai mến Thầy sẽ được Cha Thầy yêu mến, và Thầy sẽ yêu nó, và sẽ tỏ mình ra cho nó”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 10, 25-26. 34-35. 44-48","info":"“Ơn Thánh Thần cũng đã tuôn đổ xuống trên các dân tộc”.","title":"Trích sách Tông đồ Công vụ.","content":"Xảy ra là khi Phêrô vừa vào nhà, thì Cornêliô ra đón ngài, và sấp mình dưới chân ngài mà lạy. Phêrô liền đỡ ông dậy và nói rằng: “Xin ông chỗi dậy, vì chính tôi cũng chỉ là người”.\rPhêrô lên tiếng nói rằng: “Quả thật, tôi nghiệm biết rằng Thiên Chúa không thiên tư tây vị, nhưng ở bất cứ xứ nào, ai kính sợ Người và thực hành sự công chính, đều được Người đón nhận!”\rPhêrô đang nói các lời đó, thì Thánh Thần đã ngự xuống trên mọi kẻ đang nghe lời. Các tín hữu đã chịu cắt bì, những người đã đến cùng Phêrô, đều sửng sốt, khi thấy ơn Thánh Thần cũng đã tuôn đổ xuống trên các dân tộc; vả lại họ nghe các người ấy nói nhiều thứ tiếng và ngợi khen Thiên Chúa. Bấy giờ Phêrô lên tiếng nói rằng: “Ai có thể ngăn cản ta lấy nước mà rửa cho những kẻ này, khi họ đã nhận lãnh Thánh Thần như chúng ta?” Và ngài truyền rửa tội cho họ nhân danh Chúa Giêsu Kitô. Bấy giờ họ xin ngài ở lại với họ ít ngày.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người trước mặt chư dân (x. c. 2b). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân, Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca."]},"secondReading":{"excerpt":"1Ga 4, 7-10","info":"“Thiên Chúa là Tình Yêu”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, chúng ta phải thương yêu nhau, vì tình yêu bởi Thiên Chúa mà ra. Vì lẽ hễ ai thương yêu, thì đã sinh bởi Thiên Chúa, và nhận biết Thiên Chúa. Còn ai không yêu thương, thì không biết Thiên Chúa, vì Thiên Chúa là Tình Yêu. Ðiều này biểu lộ tình yêu của Thiên Chúa đối với chúng ta là Thiên Chúa chúng ta đã sai Con Một Người đến trong thế gian, để nhờ Ngài mà chúng ta được sống. Tình yêu ấy là thế này: Không phải chúng ta đã yêu mến Thiên Chúa, nhưng chính Người đã thương yêu chúng ta trước, và đã sai Con Một Người đến hy sinh, đền thay vì tội lỗi chúng ta”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Ga 15, 9-17","info":"“Không có tình yêu nào lớn hơn tình yêu của người thí mạng vì bạn hữu mình”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như Cha đã yêu mến Thầy, Thầy cũng yêu mến các con. Hãy ở lại trong tình yêu của Thầy. Nếu các con tuân lệnh Thầy truyền, các con sẽ ở trong tình yêu của Thầy, cũng như Thầy đã giữ lệnh truyền của Cha Thầy, nên Thầy ở lại trong tình yêu của Người. Thầy nói với các con điều đó để niềm vui của Thầy ở trong các con, và niềm vui của các con được trọn vẹn. Ðây là lệnh truyền của Thầy: Các con hãy yêu mến nhau, như Thầy đã yêu mến các con. Không có tình yêu nào lớn hơn tình yêu của người thí mạng vì bạn hữu mình. Các con là bạn hữu của Thầy, nếu các con thi hành những điều Thầy truyền. Thầy không còn gọi các con là tôi tớ, vì tôi tớ không biết việc chủ làm; Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết. Không phải các con đã chọn Thầy, nhưng chính Thầy đã chọn các con, và đã cắt đặt để các con đi và mang lại hoa trái, và để hoa trái các con tồn tại, để những gì các con xin Cha nhân danh Thầy, Người sẽ ban cho các con. Thầy truyền cho các con điều này là các con hãy yêu mến nhau”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 15, 1-2. 22-29","info":"“Thánh Thần và chúng tôi xét rằng không nên đặt thêm gánh nặng nào khác ngoài mấy điều cần kíp”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, có mấy người từ Giuđêa đến dạy bảo các anh em rằng: “Nếu anh em không chịu cắt bì theo luật Môsê, thì không được cứu độ”. Do đó, Phaolô và Barnaba đã tranh luận gắt gao với họ. Bấy giờ người ta quyết định là Phaolô, Barnaba và một ít người khác thuộc phe họ, lên Giêrusalem gặp các Tông đồ và niên trưởng, để xin giải quyết vấn đề này.\rBấy giờ các Tông đồ, kỳ lão, cùng toàn thể Hội thánh chấp thuận chọn ít người trong các ngài, và sai đi Antiôkia với Phaolô và Barnaba: đó là Giuđa, gọi là Barsaba, và Sila, những vị có uy thế giữa anh em. Các ngài nhờ tay hai ông chuyển bức thơ viết như sau:\r“Anh em Tông đồ và kỳ lão chúng tôi kính chào các anh em thuộc dân ngoại ở Antiôkia, Syria và Cilicia. Chúng tôi nghe tin rằng có mấy người trong chúng tôi đã đến nói những lời gây hoang mang và làm cho tâm hồn anh em xao xuyến, chúng tôi không uỷ quyền cho họ, vì thế chúng tôi họp lại, đồng ý chọn một ít người và sai đến anh em làm một với Barnaba và Phaolô, những anh em yêu quý của chúng tôi, tức là những người đã liều mạng sống mình vì danh Ðức Giêsu Kitô, Chúa chúng ta. Vậy chúng tôi đã sai Giuđa và Sila đến nói miệng với anh em cũng chính những lời này: Thánh Thần và chúng tôi xét rằng không nên đặt thêm cho anh em gánh nặng nào khác ngoài mấy điều cần kíp này là anh em hãy kiêng đồ cúng thần, huyết, thịt thú chết ngạt và gian dâm; giữ mình khỏi các điều đó là anh em làm phải. Chúc anh em vạn an”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 66, 2-3. 5-6 và 8","response":"Ðáp: Chư dân, hãy ca tụng Ngài, thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài (c. 4). \r Hoặc đọc: Alleluia.","verses":["Xướng: Xin Thiên Chúa xót thương và chúc phúc lành cho chúng con, xin chiếu giãi trên chúng con ánh sáng tôn nhan Chúa, để trên địa cầu người ta nhìn biết đường lối của Ngài, cho chư dân thiên hạ được biết rõ ơn Ngài cứu độ.","Xướng: Các dân tộc hãy vui mừng hoan hỉ, vì Ngài công bình cai trị chư dân, và Ngài cai quản các nước địa cầu.","Xướng: Chư dân, hãy ca tụng Ngài, thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài! Xin Thiên Chúa chúc phúc lành cho chúng con, và cho khắp cùng bờ cõi trái đất kính sợ Ngài."]},"secondReading":{"excerpt":"Kh 21, 10-14. 22-23","info":"“Người chỉ cho tôi thấy thành thánh do Thiên Chúa từ trời gởi xuống”.","title":"Trích sách Khải Huyền của Thánh Gioan.","content":"Thiên Thần đem tôi lên một núi cao chót vót khi tôi ngất trí, và chỉ cho tôi thấy thành thánh Giêrusalem từ trời nơi Thiên Chúa mà xuống, chói lọi vinh quang Thiên Chúa. Ánh sáng của nó toả ra như đá quý, giống như ngọc thạch, óng ánh tựa pha lê. Thành có tường lũy cao lớn, trổ mười hai cổng, trên các cổng có mười hai thiên thần, và có khắc tên mười hai chi họ con cái Israel. Phía đông có ba cổng, phía bắc có ba cổng, Phía nam có ba cổng, và phía tây có ba cổng. Tường thành xây trên mười hai móng có khắc tên mười hai tông đồ của Con Chiên. Còn đền thờ, tôi không thấy có trong thành, vì Thiên Chúa toàn năng và Con Chiên là đền thờ của thành. Thành không cần mặt trời, mặt trăng chiếu soi: vì đã có vinh quang Thiên Chúa chiếu sáng nó, và đèn của nó chính là Con Chiên.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Ga 14, 23-29","info":"“Thánh Thần sẽ nhắc nhở cho các con tất cả những gì Thầy đã nói với các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ai yêu mến Thầy, sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. Kẻ không yêu mến Thầy, thì không giữ lời Thầy. Lời các con nghe, không phải là của Thầy, nhưng là của Cha, Ðấng đã sai Thầy. Thầy đã nói với các con những điều này khi còn ở với các con. Nhưng Ðấng Phù Trợ là Thánh Thần, mà Cha sẽ sai đến nhân danh Thầy, chính Người sẽ dạy các con mọi điều, và sẽ nhắc nhở cho các con tất cả những gì Thầy đã nói với các con. Thầy để lại bình an cho các con, Thầy ban bình an của Thầy cho các con. Thầy ban cho các con không như thế gian ban tặng. Lòng các con đừng xao xuyến và đừng sợ hãi. Các con đã nghe Thầy nói với các con rằng: Thầy đi, rồi Thầy trở lại với các con. Nếu các con yêu mến Thầy, thì các con hãy vui mừng vì Thầy về với Cha, bởi lẽ Cha trọng hơn Thầy. Giờ đây Thầy nói với các con trước khi việc xảy ra, để khi việc xảy ra, thì các con tin”.","end":"Ðó là lời Chúa"}}},
+        "4070": {"A":{"firstReading":{"excerpt":"Cv 1, 1-11","info":"“Trước sự chứng kiến của các ông, Người lên trời”.","title":"Trích sách Tông đồ Công vụ.","content":"Hỡi Thêôphilê, trong quyển thứ nhất, tôi đã tường thuật tất cả những điều Ðức Giêsu đã bắt đầu làm và giảng dạy, cho đến ngày Người lên trời, sau khi căn dặn các Tông đồ, những kẻ Người đã tuyển chọn dưới sự hướng dẫn của Thánh Thần. Sau cuộc thương khó, Người đã tỏ cho các ông thấy Người vẫn sống, với nhiều bằng chứng Người đã hiện ra với các ông trong khoảng bốn mươi ngày và đàm đạo về Nước Thiên Chúa. Và trong một bữa ăn, Người đã ra lệnh cho các ông chớ rời khỏi Giêrusalem, nhưng hãy chờ đợi điều Chúa Cha đã hứa. Người nói: “Như các con đã nghe chính miệng Thầy rằng: Gioan đã làm phép rửa bằng nước, phần các con, ít ngày nữa, các con sẽ chịu phép rửa trong Thánh Thần”.\rVậy các kẻ có mặt hỏi Người rằng: “Lạy Thầy, có phải đã đến lúc Thầy khôi phục Nước Israel chăng?” Người bảo họ rằng: “Ðâu phải việc các con hiểu biết thời gian hay kỳ hạn mà Cha đã ấn định do quyền bính Ngài. Nhưng các con sẽ nhận được sức mạnh của Thánh Thần ngự xuống trên các con, và các con sẽ nên chứng nhân cho Thầy tại Giêrusalem, trong tất cả xứ Giuđêa và Samaria, và cho đến tận cùng trái đất”. Nói xong, Người được cất lên trước mắt các ông, và một đám mây bao phủ Người khuất mắt các ông.\rÐang khi các ông còn ngước mắt lên trời nhìn theo Người đang xa đi, thì bỗng có hai người mặc áo trắng đứng gần các ông và nói rằng: “Hỡi người Galilê, sao các ông còn đứng nhìn lên trời? Ðức Giêsu, Ðấng vừa lìa các ông mà lên trời, sẽ đến cùng một thể thức như các ông đã thấy Người lên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa’ hãy ca mừng, ca mừng Vua ta!","Xướng:  Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người. Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"secondReading":{"excerpt":"Ep 1, 17-23","info":"“Người đặt Ngài ngự bên hữu mình trên trời”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người, xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau. Chúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 28, 19 và 20","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Mt 28, 16-20","info":"“Mọi quyền năng trên trời dưới đất đã được ban cho Thầy”.","title":"Bài kết Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, mười một môn đệ đi về Galilêa, đến núi Chúa Giêsu đã chỉ trước. Khi thấy Người, các ông thờ lạy Người, nhưng có ít kẻ còn hoài nghi. Chúa Giêsu tiến lại nói với các ông rằng: “Mọi quyền năng trên trời dưới đất đã được ban cho Thầy. Vậy các con hãy đi giảng dạy muôn dân, làm phép rửa cho họ nhân danh Cha, và Con và Thánh Thần, giảng dạy họ tuân giữ mọi điều Thầy đã truyền cho các con. Và đây Thầy ở cùng các con mọi ngày cho đến tận thế”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 1, 1-11","info":"“Trước sự chứng kiến của các ông, Người lên trời”.","title":"Trích sách Tông đồ Công vụ.","content":"Hỡi Thêôphilê, trong quyển thứ nhất, tôi đã tường thuật tất cả những điều Ðức Giêsu đã bắt đầu làm và giảng dạy, cho đến ngày Người lên trời, sau khi căn dặn các Tông đồ, những kẻ Người đã tuyển chọn dưới sự hướng dẫn của Thánh Thần. Sau cuộc thương khó, Người đã tỏ cho các ông thấy Người vẫn sống, với nhiều bằng chứng Người đã hiện ra với các ông trong khoảng bốn mươi ngày và đàm đạo về Nước Thiên Chúa. Và trong một bữa ăn, Người đã ra lệnh cho các ông chớ rời khỏi Giêrusalem, nhưng hãy chờ đợi điều Chúa Cha đã hứa. Người nói: “Như các con đã nghe chính miệng Thầy rằng: Gioan đã làm phép rửa bằng nước, phần các con, ít ngày nữa, các con sẽ chịu phép rửa trong Thánh Thần”.\rVậy các kẻ có mặt hỏi Người rằng: “Lạy Thầy, có phải đã đến lúc Thầy khôi phục Nước Israel chăng?” Người bảo họ rằng: “Ðâu phải việc các con hiểu biết thời gian hay kỳ hạn mà Cha đã ấn định do quyền bính Ngài. Nhưng các con sẽ nhận được sức mạnh của Thánh Thần ngự xuống trên các con, và các con sẽ nên chứng nhân cho Thầy tại Giêrusalem, trong tất cả xứ Giuđêa và Samaria, và cho đến tận cùng trái đất”. Nói xong, Người được cất lên trước mắt các ông, và một đám mây bao phủ Người khuất mắt các ông.\rÐang khi các ông còn ngước mắt lên trời nhìn theo Người đang xa đi, thì bỗng có hai người mặc áo trắng đứng gần các ông và nói rằng: “Hỡi người Galilê, sao các ông còn đứng nhìn lên trời? Ðức Giêsu, Ðấng vừa lìa các ông mà lên trời, sẽ đến cùng một thể thức như các ông đã thấy Người lên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa’ hãy ca mừng, ca mừng Vua ta!","Xướng: Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người. Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"secondReading":{"excerpt":"Ep 1, 17-23","info":"“Người đặt Ngài ngự bên hữu mình trên trời”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người, xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau. Chúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 28, 19 và 20","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Mc 16, 15-20","info":"“Ðang khi Người chúc phúc cho các ông, Người rời khỏi các ông mà lên trời”.","title":"Bài kết Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu hiện ra với mười một môn đệ và phán: “Các con hãy đi khắp thế gian, rao giảng Tin Mừng cho mọi tạo vật. Ai tin và chịu phép rửa, thì sẽ được cứu độ; ai không tin, sẽ bị luận phạt. Và đây là những phép lạ đi theo những người đã tin: nhân danh Thầy, họ sẽ trừ quỷ, nói các thứ tiếng mới lạ, họ đặt tay trên những người bệnh, và bệnh nhân sẽ được lành mạnh”.\rVậy sau khi nói với các môn đệ, Chúa Giêsu lên trời, và ngự bên hữu Thiên Chúa.\rPhần các ông, các ông đi rao giảng khắp mọi nơi, có Chúa cùng hoạt động với các ông, và củng cố lời giảng dạy bằng những phép lạ kèm theo.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 1, 1-11","info":"“Trước sự chứng kiến của các ông, Người lên trời”.","title":"Trích sách Tông đồ Công vụ.","content":"Hỡi Thêôphilê, trong quyển thứ nhất, tôi đã tường thuật tất cả những điều Ðức Giêsu đã bắt đầu làm và giảng dạy, cho đến ngày Người lên trời, sau khi căn dặn các Tông đồ, những kẻ Người đã tuyển chọn dưới sự hướng dẫn của Thánh Thần. Sau cuộc thương khó, Người đã tỏ cho các ông thấy Người vẫn sống, với nhiều bằng chứng Người đã hiện ra với các ông trong khoảng bốn mươi ngày và đàm đạo về Nước Thiên Chúa. Và trong một bữa ăn, Người đã ra lệnh cho các ông chớ rời khỏi Giêrusalem, nhưng hãy chờ đợi điều Chúa Cha đã hứa. Người nói: “Như các con đã nghe chính miệng Thầy rằng: Gioan đã làm phép rửa bằng nước, phần các con, ít ngày nữa, các con sẽ chịu phép rửa trong Thánh Thần”.\rVậy các kẻ có mặt hỏi Người rằng: “Lạy Thầy, có phải đã đến lúc Thầy khôi phục Nước Israel chăng?” Người bảo họ rằng: “Ðâu phải việc các con hiểu biết thời gian hay kỳ hạn mà Cha đã ấn định do quyền bính Ngài. Nhưng các con sẽ nhận được sức mạnh của Thánh Thần ngự xuống trên các con, và các con sẽ nên chứng nhân cho Thầy tại Giêrusalem, trong tất cả xứ Giuđêa và Samaria, và cho đến tận cùng trái đất”. Nói xong, Người được cất lên trước mắt các ông, và một đám mây bao phủ Người khuất mắt các ông.\rÐang khi các ông còn ngước mắt lên trời nhìn theo Người đang xa đi, thì bỗng có hai người mặc áo trắng đứng gần các ông và nói rằng: “Hỡi người Galilê, sao các ông còn đứng nhìn lên trời? Ðức Giêsu, Ðấng vừa lìa các ông mà lên trời, sẽ đến cùng một thể thức như các ông đã thấy Người lên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang (c. 6). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa’ hãy ca mừng, ca mừng Vua ta!","Xướng: Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người. Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"secondReading":{"excerpt":"Ep 1, 17-23","info":"“Người đặt Ngài ngự bên hữu mình trên trời”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người, xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau. Chúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 28, 19 và 20","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Lc 24, 46-53","info":"“Ðang khi Người chúc phúc cho các ông, Người rời khỏi các ông mà lên trời”.","title":"Bài kết Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như đã ghi chép là Ðức Kitô phải chịu khổ hình và ngày thứ ba từ cõi chết sống lại; và nhân danh Người mà rao giảng việc sám hối và ơn tha tội trong mọi dân, bắt đầu từ Giêrusalem. Các con là nhân chứng những sự việc ấy. Thầy sẽ sai đến với các con Ðấng Cha Thầy đã hứa; vậy các con hãy ở lại trong thành cho đến khi mặc lấy quyền lực từ trên cao ban xuống”. Rồi Người dẫn các ông ra ngoài, đến làng Bêtania, và giơ tay chúc phúc cho các ông. Sự việc xảy ra là đang khi Người chúc phúc cho các ông, Người rời khỏi các ông mà lên trời. Các ông thờ lạy Người, và trở về Giêrusalem lòng đầy vui mừng. Các ông luôn luôn ở trong đền thờ mà chúc tụng Thiên Chúa. Amen.","end":"Ðó là lời Chúa"}}},
+        "4080": {"A":{"firstReading":{"excerpt":"Cv 1, 1-11","info":"“Trước sự chứng kiến của các ông, Người lên trời”.","title":"Trích sách Tông đồ Công vụ.","content":"Hỡi Thêôphilê, trong quyển thứ nhất, tôi đã tường thuật tất cả những điều Ðức Giêsu đã bắt đầu làm và giảng dạy, cho đến ngày Người lên trời, sau khi căn dặn các Tông đồ, những kẻ Người đã tuyển chọn dưới sự hướng dẫn của Thánh Thần. Sau cuộc thương khó, Người đã tỏ cho các ông thấy Người vẫn sống, với nhiều bằng chứng Người đã hiện ra với các ông trong khoảng bốn mươi ngày và đàm đạo về Nước Thiên Chúa. Và trong một bữa ăn, Người đã ra lệnh cho các ông chớ rời khỏi Giêrusalem, nhưng hãy chờ đợi điều Chúa Cha đã hứa. Người nói: “Như các con đã nghe chính miệng Thầy rằng: Gioan đã làm phép rửa bằng nước, phần các con, ít ngày nữa, các con sẽ chịu phép rửa trong Thánh Thần”.\rVậy các kẻ có mặt hỏi Người rằng: “Lạy Thầy, có phải đã đến lúc Thầy khôi phục Nước Israel chăng?” Người bảo họ rằng: “Ðâu phải việc các con hiểu biết thời gian hay kỳ hạn mà Cha đã ấn định do quyền bính Ngài. Nhưng các con sẽ nhận được sức mạnh của Thánh Thần ngự xuống trên các con, và các con sẽ nên chứng nhân cho Thầy tại Giêrusalem, trong tất cả xứ Giuđêa và Samaria, và cho đến tận cùng trái đất”. Nói xong, Người được cất lên trước mắt các ông, và một đám mây bao phủ Người khuất mắt các ông.\rÐang khi các ông còn ngước mắt lên trời nhìn theo Người đang xa đi, thì bỗng có hai người mặc áo trắng đứng gần các ông và nói rằng: “Hỡi người Galilê, sao các ông còn đứng nhìn lên trời? Ðức Giêsu, Ðấng vừa lìa các ông mà lên trời, sẽ đến cùng một thể thức như các ông đã thấy Người lên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa’ hãy ca mừng, ca mừng Vua ta!","Xướng:  Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người. Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"secondReading":{"excerpt":"Ep 1, 17-23","info":"“Người đặt Ngài ngự bên hữu mình trên trời”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người, xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau. Chúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 28, 19 và 20","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Mt 28, 16-20","info":"“Mọi quyền năng trên trời dưới đất đã được ban cho Thầy”.","title":"Bài kết Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, mười một môn đệ đi về Galilêa, đến núi Chúa Giêsu đã chỉ trước. Khi thấy Người, các ông thờ lạy Người, nhưng có ít kẻ còn hoài nghi. Chúa Giêsu tiến lại nói với các ông rằng: “Mọi quyền năng trên trời dưới đất đã được ban cho Thầy. Vậy các con hãy đi giảng dạy muôn dân, làm phép rửa cho họ nhân danh Cha, và Con và Thánh Thần, giảng dạy họ tuân giữ mọi điều Thầy đã truyền cho các con. Và đây Thầy ở cùng các con mọi ngày cho đến tận thế”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 1, 1-11","info":"“Trước sự chứng kiến của các ông, Người lên trời”.","title":"Trích sách Tông đồ Công vụ.","content":"Hỡi Thêôphilê, trong quyển thứ nhất, tôi đã tường thuật tất cả những điều Ðức Giêsu đã bắt đầu làm và giảng dạy, cho đến ngày Người lên trời, sau khi căn dặn các Tông đồ, những kẻ Người đã tuyển chọn dưới sự hướng dẫn của Thánh Thần. Sau cuộc thương khó, Người đã tỏ cho các ông thấy Người vẫn sống, với nhiều bằng chứng Người đã hiện ra với các ông trong khoảng bốn mươi ngày và đàm đạo về Nước Thiên Chúa. Và trong một bữa ăn, Người đã ra lệnh cho các ông chớ rời khỏi Giêrusalem, nhưng hãy chờ đợi điều Chúa Cha đã hứa. Người nói: “Như các con đã nghe chính miệng Thầy rằng: Gioan đã làm phép rửa bằng nước, phần các con, ít ngày nữa, các con sẽ chịu phép rửa trong Thánh Thần”.\rVậy các kẻ có mặt hỏi Người rằng: “Lạy Thầy, có phải đã đến lúc Thầy khôi phục Nước Israel chăng?” Người bảo họ rằng: “Ðâu phải việc các con hiểu biết thời gian hay kỳ hạn mà Cha đã ấn định do quyền bính Ngài. Nhưng các con sẽ nhận được sức mạnh của Thánh Thần ngự xuống trên các con, và các con sẽ nên chứng nhân cho Thầy tại Giêrusalem, trong tất cả xứ Giuđêa và Samaria, và cho đến tận cùng trái đất”. Nói xong, Người được cất lên trước mắt các ông, và một đám mây bao phủ Người khuất mắt các ông.\rÐang khi các ông còn ngước mắt lên trời nhìn theo Người đang xa đi, thì bỗng có hai người mặc áo trắng đứng gần các ông và nói rằng: “Hỡi người Galilê, sao các ông còn đứng nhìn lên trời? Ðức Giêsu, Ðấng vừa lìa các ông mà lên trời, sẽ đến cùng một thể thức như các ông đã thấy Người lên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. \r Hoặc đọc: Alleluia.","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa’ hãy ca mừng, ca mừng Vua ta!","Xướng: Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người. Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"secondReading":{"excerpt":"Ep 1, 17-23","info":"“Người đặt Ngài ngự bên hữu mình trên trời”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người, xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau. Chúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 28, 19 và 20","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Mc 16, 15-20","info":"“Ðang khi Người chúc phúc cho các ông, Người rời khỏi các ông mà lên trời”.","title":"Bài kết Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu hiện ra với mười một môn đệ và phán: “Các con hãy đi khắp thế gian, rao giảng Tin Mừng cho mọi tạo vật. Ai tin và chịu phép rửa, thì sẽ được cứu độ; ai không tin, sẽ bị luận phạt. Và đây là những phép lạ đi theo những người đã tin: nhân danh Thầy, họ sẽ trừ quỷ, nói các thứ tiếng mới lạ, họ đặt tay trên những người bệnh, và bệnh nhân sẽ được lành mạnh”.\rVậy sau khi nói với các môn đệ, Chúa Giêsu lên trời, và ngự bên hữu Thiên Chúa.\rPhần các ông, các ông đi rao giảng khắp mọi nơi, có Chúa cùng hoạt động với các ông, và củng cố lời giảng dạy bằng những phép lạ kèm theo.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 1, 1-11","info":"“Trước sự chứng kiến của các ông, Người lên trời”.","title":"Trích sách Tông đồ Công vụ.","content":"Hỡi Thêôphilê, trong quyển thứ nhất, tôi đã tường thuật tất cả những điều Ðức Giêsu đã bắt đầu làm và giảng dạy, cho đến ngày Người lên trời, sau khi căn dặn các Tông đồ, những kẻ Người đã tuyển chọn dưới sự hướng dẫn của Thánh Thần. Sau cuộc thương khó, Người đã tỏ cho các ông thấy Người vẫn sống, với nhiều bằng chứng Người đã hiện ra với các ông trong khoảng bốn mươi ngày và đàm đạo về Nước Thiên Chúa. Và trong một bữa ăn, Người đã ra lệnh cho các ông chớ rời khỏi Giêrusalem, nhưng hãy chờ đợi điều Chúa Cha đã hứa. Người nói: “Như các con đã nghe chính miệng Thầy rằng: Gioan đã làm phép rửa bằng nước, phần các con, ít ngày nữa, các con sẽ chịu phép rửa trong Thánh Thần”.\rVậy các kẻ có mặt hỏi Người rằng: “Lạy Thầy, có phải đã đến lúc Thầy khôi phục Nước Israel chăng?” Người bảo họ rằng: “Ðâu phải việc các con hiểu biết thời gian hay kỳ hạn mà Cha đã ấn định do quyền bính Ngài. Nhưng các con sẽ nhận được sức mạnh của Thánh Thần ngự xuống trên các con, và các con sẽ nên chứng nhân cho Thầy tại Giêrusalem, trong tất cả xứ Giuđêa và Samaria, và cho đến tận cùng trái đất”. Nói xong, Người được cất lên trước mắt các ông, và một đám mây bao phủ Người khuất mắt các ông.\rÐang khi các ông còn ngước mắt lên trời nhìn theo Người đang xa đi, thì bỗng có hai người mặc áo trắng đứng gần các ông và nói rằng: “Hỡi người Galilê, sao các ông còn đứng nhìn lên trời? Ðức Giêsu, Ðấng vừa lìa các ông mà lên trời, sẽ đến cùng một thể thức như các ông đã thấy Người lên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang (c. 6). \r Hoặc đọc: Alleluia.","verses":["Xướng: Hết thảy chư dân, hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối cao, khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa’ hãy ca mừng, ca mừng Vua ta!","Xướng: Vì Thiên Chúa là Vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người. Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"secondReading":{"excerpt":"Ep 1, 17-23","info":"“Người đặt Ngài ngự bên hữu mình trên trời”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người, xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau. Chúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 28, 19 và 20","content":"Alleluia, Alleluia – Chúa phán: “Các con hãy đi giảng dạy muôn dân: Thầy sẽ ở cùng các con mọi ngày cho đến tận thế”. – Alleluia."},"gospel":{"excerpt":"Lc 24, 46-53","info":"“Ðang khi Người chúc phúc cho các ông, Người rời khỏi các ông mà lên trời”.","title":"Bài kết Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như đã ghi chép là Ðức Kitô phải chịu khổ hình và ngày thứ ba từ cõi chết sống lại; và nhân danh Người mà rao giảng việc sám hối và ơn tha tội trong mọi dân, bắt đầu từ Giêrusalem. Các con là nhân chứng những sự việc ấy. Thầy sẽ sai đến với các con Ðấng Cha Thầy đã hứa; vậy các con hãy ở lại trong thành cho đến khi mặc lấy quyền lực từ trên cao ban xuống”. Rồi Người dẫn các ông ra ngoài, đến làng Bêtania, và giơ tay chúc phúc cho các ông. Sự việc xảy ra là đang khi Người chúc phúc cho các ông, Người rời khỏi các ông mà lên trời. Các ông thờ lạy Người, và trở về Giêrusalem lòng đầy vui mừng. Các ông luôn luôn ở trong đền thờ mà chúc tụng Thiên Chúa. Amen.","end":"Ðó là lời Chúa"}}}
+    }
+});
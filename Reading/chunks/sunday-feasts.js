@@ -0,0 +1,10 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-feasts", {
+    "SUNDAY": {
+        "5410": {"A":{"firstReading":{"excerpt":"Cv 2, 1-11","info":"“Các vị được tràn đầy Chúa Thánh Thần và bắt đầu lên tiếng nói”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi đến ngày lễ Ngũ Tuần, tất cả các môn đệ đều tề tựu một nơi, bỗng từ trời phát ra tiếng động như tiếng gió mạnh thổi đến, lùa vào đầy nhà nơi họ đang sum họp. Lại có những lưỡi như thể bằng lửa xuất hiện và rải rác đậu trên từng người. Hết thảy mọi người đều được tràn đầy Chúa Thánh Thần, và bắt đầu nói tiếng khác nhau tuỳ theo Thánh Thần ban cho họ nói.\rKhi ấy, cư ngụ tại Giêrusalem, có những người Do-thái đạo đức từ khắp các nước dưới gầm trời tụ về. Nghe tiếng ấy phát ra thì đoàn lũ tuôn đến, tâm trí bỡ ngỡ, vì mỗi người đều nghe các môn đệ nói tiếng thổ âm của mình. Mọi người đều sửng sốt và bỡ ngỡ nói rằng: “Nào tất cả những người đang nói đây không phải là người Galilê ư? Nhưng tại sao mỗi người chúng tôi lại nghe họ nói tiếng bản xứ của chúng tôi: Chúng tôi là người Parthi, Mêđi, Êlam, Mêsopotamia, Giuđêa, Cappađôcia, Pôntô, Tiểu Á, Phrygia, Pamphylia, Ai-cập, Lybia, cận Cyrênê, và người Rôma cư ngụ ở đây, là Do-thái và tòng giáo, là người Crêta và Á-rập, chúng tôi đều nghe họ nói tiếng của chúng tôi mà ca tụng những kỳ công của Thiên Chúa!”\r[Mọi người đều sửng sốt bỡ ngỡ nói với nhau rằng: “Thế này nghĩa là gì?” Nhưng lại có người khác nhạo báng rằng: “Họ đầy rượu rồi”.]","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103, 1ab và 24ac. 29bc-30. 31 và 34","response":"Ðáp: Lạy Chúa, xin sai Thánh Thần Chúa đến, và xin canh tân bộ mặt trái đất (c. 30). \r Hoặc đọc: Alleluia.","verses":["Xướng:  Linh hồn tôi ơi, hãy chúc tụng Chúa. Lạy Chúa là Thiên Chúa của con, Ngài quá ư vĩ đại! Lạy Chúa, thực nhiều thay công cuộc của Ngài! Ðịa cầu đầy dẫy loài thụ tạo của Ngài. ","Xướng: Ngài rút hơi thở chúng đi, chúng chết ngay và chúng trở về chỗ tro bụi của mình. Nếu Ngài gởi hơi thở tới, chúng được tạo thành, và Ngài canh tân bộ mặt trái đất. ","Xướng:  Nguyện vinh quang Chúa còn tới muôn đời, nguyện cho Chúa hân hoan vì công cuộc của Chúa. Ước chi tiếng nói của con làm cho Chúa được vui; phần con, con sẽ hân hoan trong Chúa. "]},"secondReading":{"excerpt":"1 Cr 12, 3b-7. 12-13","info":"“Trong một Thánh Thần, tất cả chúng ta được thanh tẩy để làm nên một thân thể”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, không ai có thể nói “Ðức Giêsu là Chúa” mà lại không do Thánh Thần. Vậy có nhiều thứ ân sủng, nhưng chỉ có một Thánh Thần. Có nhiều thứ chức vụ, nhưng chỉ có một Chúa. Có nhiều thứ công việc, nhưng chỉ có một Thiên Chúa, là Ðấng làm mọi sự trong mọi người. Sự xuất hiện của Thánh Thần được ban cho từng người, tuỳ theo lợi ích.\rCũng như chỉ có một thân thể nhưng có nhiều chi thể, mà các chi thể tuy nhiều nhưng chỉ là một thân thể, thì Chúa Kitô cũng vậy. Vì chưng trong một Thánh Thần, tất cả chúng ta được thanh tẩy để làm nên một thân thể, cho dù là Do-thái hay dân ngoại, nô lệ hay tự do: tất cả chúng ta đã uống trong một Thánh Thần.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 20, 19-23","info":"“Như Cha đã sai Thầy, Thầy cũng sai các con: Các con hãy nhận lấy Thánh Thần”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Vào buổi chiều ngày thứ nhất trong tuần, những cửa nhà các môn đệ họp đều đóng kín, vì sợ người Do-thái, Chúa Giêsu hiện đến, đứng giữa các ông và nói rằng: “Bình an cho các con!” Khi nói điều đó, Người cho các ông xem tay và cạnh sườn Người. Bấy giờ các môn đệ vui mừng vì xem thấy Chúa. Chúa Giêsu lại phán bảo các ông rằng: “Bình an cho các con! Như Cha đã sai Thầy, Thầy cũng sai các con”. Nói thế rồi, Người thổi hơi và phán bảo các ông: “Các con hãy nhận lấy Thánh Thần, các con tha tội cho ai, thì tội người ấy được tha. Các con cầm tội ai, thì tội người ấy bị cầm lại”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cv 2, 1-11","info":"“Các vị được tràn đầy Chúa Thánh Thần và bắt đầu lên tiếng nói”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi đến ngày lễ Ngũ Tuần, tất cả các môn đệ đều tề tựu một nơi, bỗng từ trời phát ra tiếng động như tiếng gió mạnh thổi đến, lùa vào đầy nhà nơi họ đang sum họp. Lại có những lưỡi như thể bằng lửa xuất hiện và rải rác đậu trên từng người. Hết thảy mọi người đều được tràn đầy Chúa Thánh Thần, và bắt đầu nói tiếng khác nhau tuỳ theo Thánh Thần ban cho họ nói.\rKhi ấy, cư ngụ tại Giêrusalem, có những người Do-thái đạo đức từ khắp các nước dưới gầm trời tụ về. Nghe tiếng ấy phát ra thì đoàn lũ tuôn đến, tâm trí bỡ ngỡ, vì mỗi người đều nghe các môn đệ nói tiếng thổ âm của mình. Mọi người đều sửng sốt và bỡ ngỡ nói rằng: “Nào tất cả những người đang nói đây không phải là người Galilê ư? Nhưng tại sao mỗi người chúng tôi lại nghe họ nói tiếng bản xứ của chúng tôi: Chúng tôi là người Parthi, Mêđi, Êlam, Mêsopotamia, Giuđêa, Cappađôcia, Pôntô, Tiểu Á, Phrygia, Pamphylia, Ai-cập, Lybia, cận Cyrênê, và người Rôma cư ngụ ở đây, là Do-thái và tòng giáo, là người Crêta và Á-rập, chúng tôi đều nghe họ nói tiếng của chúng tôi mà ca tụng những kỳ công của Thiên Chúa!”\r[Mọi người đều sửng sốt bỡ ngỡ nói với nhau rằng: “Thế này nghĩa là gì?” Nhưng lại có người khác nhạo báng rằng: “Họ đầy rượu rồi”.]","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103, 1ab và 24ac. 29bc-30. 31 và 34","response":"Ðáp: Lạy Chúa, xin sai Thánh Thần Chúa đến, và xin canh tân bộ mặt trái đất (c. 30). \r Hoặc đọc: Alleluia.","verses":["Xướng:  Linh hồn tôi ơi, hãy chúc tụng Chúa. Lạy Chúa là Thiên Chúa của con, Ngài quá ư vĩ đại! Lạy Chúa, thực nhiều thay công cuộc của Ngài! Ðịa cầu đầy dẫy loài thụ tạo của Ngài. ","Xướng: Ngài rút hơi thở chúng đi, chúng chết ngay và chúng trở về chỗ tro bụi của mình. Nếu Ngài gởi hơi thở tới, chúng được tạo thành, và Ngài canh tân bộ mặt trái đất. ","Xướng:  Nguyện vinh quang Chúa còn tới muôn đời, nguyện cho Chúa hân hoan vì công cuộc của Chúa. Ước chi tiếng nói của con làm cho Chúa được vui; phần con, con sẽ hân hoan trong Chúa. "]},"secondReading":{"excerpt":"1 Cr 12, 3b-7. 12-13","info":"“Trong một Thánh Thần, tất cả chúng ta được thanh tẩy để làm nên một thân thể”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, không ai có thể nói “Ðức Giêsu là Chúa” mà lại không do Thánh Thần. Vậy có nhiều thứ ân sủng, nhưng chỉ có một Thánh Thần. Có nhiều thứ chức vụ, nhưng chỉ có một Chúa. Có nhiều thứ công việc, nhưng chỉ có một Thiên Chúa, là Ðấng làm mọi sự trong mọi người. Sự xuất hiện của Thánh Thần được ban cho từng người, tuỳ theo lợi ích.\rCũng như chỉ có một thân thể nhưng có nhiều chi thể, mà các chi thể tuy nhiều nhưng chỉ là một thân thể, thì Chúa Kitô cũng vậy. Vì chưng trong một Thánh Thần, tất cả chúng ta được thanh tẩy để làm nên một thân thể, cho dù là Do-thái hay dân ngoại, nô lệ hay tự do: tất cả chúng ta đã uống trong một Thánh Thần.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 20, 19-23","info":"“Như Cha đã sai Thầy, Thầy cũng sai các con: Các con hãy nhận lấy Thánh Thần”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Vào buổi chiều ngày thứ nhất trong tuần, những cửa nhà các môn đệ họp đều đóng kín, vì sợ người Do-thái, Chúa Giêsu hiện đến, đứng giữa các ông và nói rằng: “Bình an cho các con!” Khi nói điều đó, Người cho các ông xem tay và cạnh sườn Người. Bấy giờ các môn đệ vui mừng vì xem thấy Chúa. Chúa Giêsu lại phán bảo các ông rằng: “Bình an cho các con! Như Cha đã sai Thầy, Thầy cũng sai các con”. Nói thế rồi, Người thổi hơi và phán bảo các ông: “Các con hãy nhận lấy Thánh Thần, các con tha tội cho ai, thì tội người ấy được tha. Các con cầm tội ai, thì tội người ấy bị cầm lại”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cv 2, 1-11","info":"“Các vị được tràn đầy Chúa Thánh Thần và bắt đầu lên tiếng nói”.","title":"Trích sách Tông đồ Công vụ.","content":"Khi đến ngày lễ Ngũ Tuần, tất cả các môn đệ đều tề tựu một nơi, bỗng từ trời phát ra tiếng động như tiếng gió mạnh thổi đến, lùa vào đầy nhà nơi họ đang sum họp. Lại có những lưỡi như thể bằng lửa xuất hiện và rải rác đậu trên từng người. Hết thảy mọi người đều được tràn đầy Chúa Thánh Thần, và bắt đầu nói tiếng khác nhau tuỳ theo Thánh Thần ban cho họ nói.\rKhi ấy, cư ngụ tại Giêrusalem, có những người Do-thái đạo đức từ khắp các nước dưới gầm trời tụ về. Nghe tiếng ấy phát ra thì đoàn lũ tuôn đến, tâm trí bỡ ngỡ, vì mỗi người đều nghe các môn đệ nói tiếng thổ âm của mình. Mọi người đều sửng sốt và bỡ ngỡ nói rằng: “Nào tất cả những người đang nói đây không phải là người Galilê ư? Nhưng tại sao mỗi người chúng tôi lại nghe họ nói tiếng bản xứ của chúng tôi: Chúng tôi là người Parthi, Mêđi, Êlam, Mêsopotamia, Giuđêa, Cappađôcia, Pôntô, Tiểu Á, Phrygia, Pamphylia, Ai-cập, Lybia, cận Cyrênê, và người Rôma cư ngụ ở đây, là Do-thái và tòng giáo, là người Crêta và Á-rập, chúng tôi đều nghe họ nói tiếng của chúng tôi mà ca tụng những kỳ công của Thiên Chúa!”\r[Mọi người đều sửng sốt bỡ ngỡ nói với nhau rằng: “Thế này nghĩa là gì?” Nhưng lại có người khác nhạo báng rằng: “Họ đầy rượu rồi”.]","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103, 1ab và 24ac. 29bc-30. 31 và 34","response":"Ðáp: Lạy Chúa, xin sai Thánh Thần Chúa đến, và xin canh tân bộ mặt trái đất (c. 30). \r Hoặc đọc: Alleluia.","verses":["Xướng:  Linh hồn tôi ơi, hãy chúc tụng Chúa. Lạy Chúa là Thiên Chúa của con, Ngài quá ư vĩ đại! Lạy Chúa, thực nhiều thay công cuộc của Ngài! Ðịa cầu đầy dẫy loài thụ tạo của Ngài. ","Xướng: Ngài rút hơi thở chúng đi, chúng chết ngay và chúng trở về chỗ tro bụi của mình. Nếu Ngài gởi hơi thở tới, chúng được tạo thành, và Ngài canh tân bộ mặt trái đất. ","Xướng:  Nguyện vinh quang Chúa còn tới muôn đời, nguyện cho Chúa hân hoan vì công cuộc của Chúa. Ước chi tiếng nói của con làm cho Chúa được vui; phần con, con sẽ hân hoan trong Chúa. "]},"secondReading":{"excerpt":"1 Cr 12, 3b-7. 12-13","info":"“Trong một Thánh Thần, tất cả chúng ta được thanh tẩy để làm nên một thân thể”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, không ai có thể nói “Ðức Giêsu là Chúa” mà lại không do Thánh Thần. Vậy có nhiều thứ ân sủng, nhưng chỉ có một Thánh Thần. Có nhiều thứ chức vụ, nhưng chỉ có một Chúa. Có nhiều thứ công việc, nhưng chỉ có một Thiên Chúa, là Ðấng làm mọi sự trong mọi người. Sự xuất hiện của Thánh Thần được ban cho từng người, tuỳ theo lợi ích.\rCũng như chỉ có một thân thể nhưng có nhiều chi thể, mà các chi thể tuy nhiều nhưng chỉ là một thân thể, thì Chúa Kitô cũng vậy. Vì chưng trong một Thánh Thần, tất cả chúng ta được thanh tẩy để làm nên một thân thể, cho dù là Do-thái hay dân ngoại, nô lệ hay tự do: tất cả chúng ta đã uống trong một Thánh Thần.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa Thánh Thần, xin xuống tràn ngập tâm hồn các tín hữu Chúa, và xin nhóm lửa tình yêu Chúa trong lòng họ. – Alleluia."},"gospel":{"excerpt":"Ga 20, 19-23","info":"“Như Cha đã sai Thầy, Thầy cũng sai các con: Các con hãy nhận lấy Thánh Thần”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Vào buổi chiều ngày thứ nhất trong tuần, những cửa nhà các môn đệ họp đều đóng kín, vì sợ người Do-thái, Chúa Giêsu hiện đến, đứng giữa các ông và nói rằng: “Bình an cho các con!” Khi nói điều đó, Người cho các ông xem tay và cạnh sườn Người. Bấy giờ các môn đệ vui mừng vì xem thấy Chúa. Chúa Giêsu lại phán bảo các ông rằng: “Bình an cho các con! Như Cha đã sai Thầy, Thầy cũng sai các con”. Nói thế rồi, Người thổi hơi và phán bảo các ông: “Các con hãy nhận lấy Thánh Thần, các con tha tội cho ai, thì tội người ấy được tha. Các con cầm tội ai, thì tội người ấy bị cầm lại”.","end":"Ðó là lời Chúa"}}},
+        "5420": {"A":{"firstReading":{"excerpt":"Xh 34, 4b-6. 8-9","info":"“Thiên Chúa là Ðấng thống trị, từ bi và nhân hậu”.","title":"Trích sách Xuất Hành.","content":"Ngày ấy, từ sáng sớm, Môsê chỗi dậy và lên núi Sinai, như Chúa đã truyền dạy cho ông, ông mang theo hai bia đá. Khi Thiên Chúa ngự trên đám mây, Môsê đứng trước mặt Chúa và kêu cầu danh Chúa.\rChúa đi qua trước mặt ông và hô: “Ðức Chúa! Ðức Chúa! Thiên Chúa thương xót và từ nhân, bao dung, đầy nhân nghĩa và tín thành”. Môsê vội vã sấp mình xuống đất thờ lạy và thưa rằng: “Lạy Chúa, nếu con có ơn nghĩa trước nhan thánh Chúa, thì xin Chúa hãy đi cùng với chúng con, (vì dân này là dân cứng đầu), xin xoá mọi gian ác và tội lỗi chúng con, xin nhận chúng con làm cơ nghiệp của Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","response":"Ðáp: Chúa đáng ca ngợi và tôn vinh muôn đời","verses":["Xướng: Lạy Chúa là Thiên Chúa cha ông chúng con, Chúa đáng chúc tụng, đáng ca ngợi, tôn vinh và tán tụng muôn đời. Chúc tụng thánh danh vinh quang Chúa, đáng ca ngợi, tôn vinh và tán tụng muôn đời. ","Xướng: Chúa đáng chúc tụng trong đền thánh vinh quang Chúa, đáng ca ngợi và tôn vinh muôn đời. ","Xướng: Chúc tụng Chúa ngự trên ngai vương quyền Chúa, đáng ca ngợi và tôn vinh muôn đời. ","Xướng: Chúc tụng Chúa, Ðấng nhìn thấu vực thẳm và ngự trên các Thần Vệ Binh, đáng ca ngợi và tôn vinh muôn đời. ","Xướng: Chúc tụng Chúa ngự trên bầu trời, đáng ca ngợi và tôn vinh muôn đời. "]},"secondReading":{"excerpt":"2 Cr 13, 11-13","info":"“Ân sủng của Ðức Giêsu Kitô, tình yêu của Chúa Cha, và ơn thông hiệp của Chúa Thánh Thần”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, anh em hãy vui lên, hãy nên trọn lành, hãy khuyến khích nhau, hãy đồng tâm nhất trí, và hoà thuận với nhau, thì Thiên Chúa, nguồn sự bình an và tình yêu, sẽ ở với anh em. Anh em hãy chào nhau bằng cái hôn thánh thiện. Tất cả các thánh ở đây gởi lời chào anh em. Nguyện xin ân sủng Ðức Giêsu Kitô, Chúa chúng ta, và tình yêu của Chúa Cha, và ơn thông hiệp của Chúa Thánh Thần ở cùng tất cả anh em. Amen.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Kh 1, 8","content":"Alleluia, Alleluia – Sáng danh Ðức Chúa Cha, và Ðức Chúa Con, và Ðức Chúa Thánh Thần; sáng danh Thiên Chúa Ðấng đang có, đã có và sẽ đến. – Alleluia."},"gospel":{"excerpt":"Ga 3, 16-18","info":"“Thiên Chúa đã sai Chúa Con đến để thế gian nhờ Người mà được cứu độ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu nói với Nicôđêmô rằng: “Thiên Chúa đã yêu thế gian đến nỗi đã ban Con Một Người để tất cả những ai tin ở Con của Người, thì không phải hư mất, nhưng được sống đời đời, vì Thiên Chúa không sai Con của Người giáng trần để luận phạt thế gian, nhưng để thế gian nhờ Con của Người mà được cứu độ. Ai tin Người Con ấy, thì không bị luận phạt. Ai không tin thì đã bị luận phạt rồi, vì không tin vào danh Con Một Thiên Chúa”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðnl 4, 32-34. 39-40","info":"“Chính Chúa là Thiên Chúa, chớ không có Chúa nào khác“.","title":"Trích sách Ðệ Nhị Luật.","content":"Ông Môsê nói cùng dân chúng rằng: “Các ngươi hãy tìm hiểu những thời xa xưa trước kia, từ khi Thiên Chúa tác thành con người trên mặt đất, từ chân trời này đến chân trời nọ, có bao giờ xảy ra một việc vĩ đại như thế này chăng? Có bao giờ người ta đã nghe thấy những việc lạ lùng như vậy chăng? Có bao giờ một dân tộc đã nghe lời Thiên Chúa từ trong lửa phán ra như các ngươi đã nghe mà còn sống chăng? Có bao giờ Chúa đã dùng sự thử thách, dấu chỉ, điềm lạ, chiến tranh, cánh tay quyền năng mạnh mẽ và những thị kiến khủng khiếp, để chọn lấy cho mình một dân tộc giữa các dân tộc khác, như Chúa là Thiên Chúa các ngươi đã làm tất cả các điều đó trước mặt các ngươi trong đất Ai-cập chăng? Vậy hôm nay các ngươi hãy nhận biết và suy niệm trong lòng rằng: Trên trời dưới đất, chính Chúa là Thiên Chúa, chớ không có Chúa nào khác. Hãy tuân giữ các lề luật và giới răn mà hôm nay chính ta truyền dạy cho các ngươi, hầu cho các ngươi và con cháu mai sau được hạnh phúc và tồn tại trên phần đất mà Chúa là Thiên Chúa sẽ ban cho các ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 4-5. 6 và 9. 18-19. 20 và 22","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình (c. 12b).","verses":["Xướng: Vì lời Chúa là lời chân chính, bao việc Ngài làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng Chúa.","Xướng: Do lời Chúa mà trời xanh được tạo thành, và mọi cơ binh chúng đều do hơi thở miệng Ngài. Vì chính Ngài phán dạy mà chúng được tạo thành, chính Ngài ra lệnh mà chúng trở nên thực hữu.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Ngài, nhìn xem những ai cậy trông ân sủng của Ngài, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn.","Xướng: Linh hồn chúng con mong đợi Chúa, chính Ngài là Ðấng phù trợ và che chở chúng con. Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài."]},"secondReading":{"excerpt":"Rm 8, 14-17","info":"“Anh em đã nhận tinh thần nghĩa tử; trong tinh thần ấy, chúng ta kêu lên rằng: Abba, lạy Cha!“.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, ai sống theo Thánh Thần Thiên Chúa, thì là con cái Thiên Chúa. Vì không phải anh em đã nhận tinh thần nô lệ trong sợ hãi nữa, nhưng đã nhận tinh thần nghĩa tử; trong tinh thần ấy, chúng ta kêu lên rằng: “Abba – lạy Cha!” Vì chính Thánh Thần đã làm chứng cho tâm trí chúng ta rằng: Chúng ta là con cái Thiên Chúa. Vậy nếu là con cái, thì cũng là những người thừa tự, nghĩa là thừa tự của Thiên Chúa, và đồng thừa tự với Ðức Kitô: vì chúng ta đồng chịu đau khổ với Người, để rồi chúng ta sẽ cùng hưởng vinh quang với Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Kh 1, 8","content":"Alleluia, Alleluia – Sáng danh Ðức Chúa Cha, và Ðức Chúa Con, và Ðức Chúa Thánh Thần; sáng danh Thiên Chúa, Ðấng đang có, đã có và sẽ đến. – Alleluia."},"gospel":{"excerpt":"Mt 28, 16-20","info":"“Làm phép rửa cho họ, nhân danh Cha và Con và Thánh Thần”.","title":"Bài kết thúc Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, mười một môn đệ đi về Galilêa, đến núi Chúa Giêsu chỉ trước. Khi thấy Người, các ông thờ lạy Người, nhưng có ít kẻ còn hoài nghi. Chúa Giêsu tiến lại nói với các ông rằng: “Mọi quyền năng trên trời dưới đất đã được ban cho Thầy. Vậy các con hãy đi giảng dạy muôn dân, làm phép rửa cho họ nhân danh Cha, và Con, và Thánh Thần; giảng dạy họ tuân giữ mọi điều Thầy đã truyền cho các con. Và đây Thầy ở cùng các con mọi ngày cho đến tận thế”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Cn 8, 22-31","info":"“Khi địa cầu chưa sinh nở, sự khôn ngoan đã được sinh thành”.","title":"Trích sách Châm Ngôn.","content":"Ðây sự Khôn Ngoan của Thiên Chúa phán: “Chúa đã tạo thành nên ta là đầu sự việc của Người, trước cả những sự việc Người đã làm rất xa xưa. Ta đã được thiết lập tự thuở đời đời, ngay tự đầu tiên, khi địa cầu chưa sinh nở. Ta đã được sinh thành khi chưa có vực sâu, khi chưa từng có những dòng suối nước. Trước khi Chúa củng cố những ngọn núi cao, trước khi có những quả đồi, ta đã sinh ra rồi. Khi Người chưa tạo tác địa cầu, đồng ruộng, cũng chưa tạo nên hạt bụi đầu tiên của cõi trần ai. Khi Người xếp đặt muôn cõi trời, có ta ở đó, khi Người vạch ra vòng đai trên mặt vực sâu, khi Người định chỗ cho mây trời trên cõi cao xa, và những suối nước tự vực sâu vọt lên mạnh mẽ, khi Người đặt cương giới cho biển cả để nước đừng có vượt quá cõi bờ, khi Người đặt nền tảng cho trái đất, bấy giờ ta làm việc ở sát bên Người. Và mọi ngày ta làm cho Người sung sướng, luôn luôn nhàn du ở trước nhan Người. Ta nhàn du trên quả địa cầu, và gặp thấy hạnh phúc ở giữa con cái loài người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 8, 4-5. 6-7. 8-9","response":"Ðáp: Lạy Chúa, lạy Chúa chúng con, lạ lùng thay danh Chúa khắp nơi hoàn cầu (c. 2a).","verses":["Xướng: Khi con ngắm cõi trời, công cuộc tay Chúa tạo ra, vầng trăng và muôn tinh tú mà Chúa gầy dựng, thì nhân loại là chi mà Chúa nhớ tới? con người là chi mà Chúa để ý chăm nom?","Xướng: Chúa dựng nên con người kém thiên thần một chút, Chúa trang sức con người bằng danh dự với vinh quang; Chúa ban cho quyền hành trên công cuộc tay Ngài sáng tạo, Chúa đặt muôn vật dưới chân con người.","Xướng: Nào chiên, nào bò, thôi thì tất cả, cho tới những muông thú ở đồng hoang, chim trời với cá đại dương, những gì lội khắp nẻo đường biển khơi."]},"secondReading":{"excerpt":"Rm 5, 1-5","info":"“Thánh Thần ban cho chúng ta lòng mến Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, khi được đức tin công chính hoá, chúng ta được bình an trong Chúa nhờ Ðức Giêsu Kitô, Chúa chúng ta, Ðấng cho chúng ta dùng đức tin mà tiến đến ân sủng, và đứng vững ở đó, và được hiển vinh trong niềm hy vọng vinh quang của con cái Chúa. Không những thế, chúng ta còn được vinh hiển trong gian nan, khi biết rằng gian nan rèn nhẫn nại, nhẫn nại rèn nhân đức, còn nhân đức rèn cậy trông. Nhưng cậy trông không đưa đến thất vọng, vì lòng mến Chúa được Thánh Thần, Ðấng ban cho chúng ta, đổ xuống lòng chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Kh 1, 8","content":"Alleluia, Alleluia – Sáng danh Ðức Chúa Cha, và Ðức Chúa Con, và Ðức Chúa Thánh Thần; sáng danh Thiên Chúa, Ðấng đang có, đã có và sẽ đến. – Alleluia."},"gospel":{"excerpt":"Ga 16, 12-15","info":"“Tất cả những gì Cha có, đều là của Thầy; Thánh Thần sẽ lãnh nhận từ nơi Thầy mà loan truyền cho các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy còn nhiều điều phải nói với các con, nhưng bây giờ các con không thể lĩnh hội được. Khi Thần Chân lý đến, Người sẽ dạy các con biết tất cả sự thật, vì Người không tự mình mà nói, nhưng Người nghe gì thì sẽ nói vậy, và Người sẽ bảo cho các con biết những việc tương lai. Người sẽ làm vinh danh Thầy, vì Người sẽ lãnh nhận từ nơi Thầy mà loan truyền cho các con. Tất cả những gì Cha có đều là của Thầy, vì thế Thầy đã nói: Người sẽ lãnh nhận từ nơi Thầy mà loan truyền cho các con”.","end":"Ðó là lời Chúa"}}},
+        "5430": {"A":{"firstReading":{"excerpt":"Ðnl 8, 2-3. 14b-16a","info":"“Người sẽ ban cho các ngươi của ăn mà các ngươi và cha ông các ngươi chưa từng biết tới”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói cùng dân chúng rằng: “Các ngươi hãy nhớ tất cả đoạn đường mà Chúa là Thiên Chúa các ngươi đã dẫn đưa các ngươi qua sa mạc suốt bốn mươi năm, để rèn luyện và thử thách các ngươi, để biết các điều bí ẩn trong lòng các ngươi và xem các ngươi có tuân giữ lề luật của Người hay không? Người đã để các ngươi vất vả thiếu thốn, và ban cho các ngươi manna làm của ăn mà các ngươi và cha ông các ngươi chưa từng biết tới, để tỏ cho các ngươi thấy rằng: Con người sống không nguyên bởi bánh, mà còn bởi mọi lời do miệng Thiên Chúa phán ra.\r“Các ngươi hãy nhớ Chúa là Thiên Chúa các ngươi, Ðấng đã dẫn đưa các ngươi ra khỏi đất Ai-cập, khỏi cảnh nô lệ. Và Người là Ðấng đã dẫn các ngươi vào nơi hoang địa mênh mông và kinh khủng có nhiều rắn hổ lửa, bò cạp, rắn lục, và không có một giọt nước nào; Người đã khiến nước từ tảng đá cứng rắn vọt ra. Trong hoang địa, Người đã nuôi các ngươi bằng manna mà cha ông các ngươi chưa từng biết tới”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20.","response":"Ðáp: Giêrusalem hỡi, hãy ngợi khen Chúa","verses":["Xướng: Giêrusalem hỡi, hãy ngợi khen Chúa. Hãy ngợi khen Thiên Chúa của ngươi, hỡi Sion! vì Người giữ chặt các then cửa ngươi, Người chúc phúc cho con cái ngươi trong thành nội. ","Xướng: Người đã sai lời Người xuống cõi trần ai, và lời Người lanh chai chạy rảo. Người khiến tuyết rơi như thể lông cừu, Người gieo rắc sương đông như tro bụi trắng. ","Xướng: Người đã loan truyền lời Người cho Giacóp, những thánh chỉ và huấn lệnh Người cho Israel. Người đã không làm cho dân tộc nào như thế, Người đã không công bố cho họ các huấn lệnh của Người. "]},"secondReading":{"excerpt":"1 Cr 10, 16-17","info":"“Có một tấm bánh, nên chúng ta tuy nhiều, cũng chỉ là một thân thể”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, chén chúc tụng mà chúng ta cầm lên chúc tụng Chúa chẳng phải là thông hiệp với máu Chúa Kitô sao? Tấm bánh mà chúng ta bẻ ra chẳng phải là thông phần vào Mình Chúa đó sao? Vì có một tấm bánh, nên chúng ta tuy nhiều người, chúng ta cũng chỉ là một thân thể, vì hết thảy chúng ta thông phần cùng một tấm bánh.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 51-52","content":"Alleluia, Alleluia – Chúa phán: “Ta là bánh hằng sống từ trời xuống; ai ăn bánh này, thì sẽ sống đời đời”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 51-59","info":"“Thịt Ta thật là của ăn, và máu Ta thật là của uống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng dân Do-thái rằng: “Ta là bánh hằng sống từ trời xuống; ai ăn bánh này, thì sẽ sống đời đời. Và bánh Ta sẽ ban, chính là thịt Ta, để cho thế gian được sống”. Vậy người Do-thái tranh luận với nhau rằng: “Làm sao ông này có thể lấy thịt mình cho chúng ta ăn được?” Bấy giờ Chúa Giêsu nói với họ: “Thật, Ta bảo thật các ngươi: Nếu các ngươi không ăn thịt Con Người và uống máu Ngài, các ngươi sẽ không có sự sống trong các ngươi. Ai ăn thịt Ta và uống máu Ta thì có sự sống đời đời, và Ta, Ta sẽ cho kẻ ấy sống lại ngày sau hết. Vì thịt Ta thật là của ăn, và máu Ta thật là của uống. Ai ăn thịt Ta và uống máu Ta, thì ở trong Ta, và Ta ở trong kẻ ấy. Cũng như Cha là Ðấng hằng sống đã sai Ta, nên Ta sống nhờ Cha, thì kẻ ăn Ta, chính người ấy cũng sẽ sống nhờ Ta. Ðây là bánh bởi trời xuống, không phải như cha ông các ngươi đã ăn manna và đã chết. Ai ăn bánh này thì sẽ sống đời đời”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Xh 24, 3-8","info":"“Ðây là máu giao ước Thiên Chúa đã cam kết với các ngươi”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê đến thuật lại cho dân chúng nghe tất cả những lời và lề luật của Chúa, và toàn dân đồng thanh thưa rằng: “Chúng tôi xin thi hành mọi lời Chúa đã phán”. Vậy Môsê ghi lại tất cả những lời của Chúa. Và sáng sớm, ông chỗi dậy, lập bàn thờ ở chân núi, dựng mười hai cột trụ, chỉ mười hai chi họ Israel, ông sai các thanh niên trong con cái Israel mang của lễ toàn thiêu và hiến dâng lên Chúa những con bò tơ làm hy lễ giao hoà. Môsê lấy phân nửa máu đổ vào các chậu và rưới phân nửa kia lên bàn thờ. Ông mở quyển giao ước ra đọc cho dân nghe và họ thưa: “Chúng tôi xin thi hành và tuân theo tất cả những điều Chúa đã phán”. Vậy ông lấy máu rẩy lên dân chúng và nói: “Ðây là máu giao ước Thiên Chúa đã cam kết với các ngươi theo đúng tất cả những lời đó”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 15-16bc. 17-18","response":"Ðáp: Tôi sẽ lãnh chén cứu độ, và tôi sẽ kêu cầu danh Chúa. \rHoặc đọc: Alleluia","verses":["Xướng: Tôi lấy gì dâng lại cho Chúa, để đền đáp những điều Ngài ban tặng cho tôi? Tôi sẽ lãnh chén cứu độ, và tôi sẽ kêu cầu danh Chúa.","Xướng: Trước mặt Chúa thật là quý hoá, cái chết của những bậc thánh nhân Ngài. Tôi là tôi tớ Ngài, con trai của nữ tì Ngài, Ngài bẻ gãy xiềng xích cho tôi.","Xướng: Tôi sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ, và tôi sẽ kêu cầu danh Chúa. Tôi sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài."]},"secondReading":{"excerpt":"Dt 9, 11-15","info":"“Máu Chúa Kitô tẩy sạch lương tâm chúng ta”.","title":"Trích thư gởi tín hữu Do-thái.","content":"Anh em thân mến, Chúa Kitô xuất hiện như vị Thượng tế cầu bầu mọi phúc lành tương lai. Người đi qua nhà tạm rộng rãi và hoàn hảo hơn, không phải do tay người phàm xây dựng, nghĩa là không thuộc về trần gian này, cũng không nhờ máu dê bò, nhưng nhờ chính máu của Người mà vào Cung Thánh chỉ một lần và đem lại ơn cứu độ muôn đời. Vì nếu máu dê và tro bò mà người ta rảy trên kẻ ô uế còn thánh hoá được thân xác nên trong sạch, huống chi máu của Ðức Kitô, Ðấng đã nhờ Thánh Thần mà hiến tế chính mình làm của lễ trong sạch dâng lên Thiên Chúa; máu đó sẽ tẩy sạch lương tâm chúng ta khỏi những việc sinh sự chết, khiến chúng ta có thể phụng sự Thiên Chúa hằng sống. Vì vậy Chúa Kitô là trung gian của Tân Ước, vì nhờ sự chết của Người để cứu chuộc tội phạm dưới thời Cựu Ước, mà những kẻ được kêu gọi, đến lãnh lấy gia nghiệp đời đời đã hứa cho họ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 51-52","content":"Alleluia, Alleluia – Chúa phán: “Ta là bánh hằng sống từ trời xuống; ai ăn bánh này, thì sẽ sống đời đời”. – Alleluia."},"gospel":{"excerpt":"Mc 14, 12-16. 22-26","info":"“Này là Mình Ta. Này là Máu Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Ngày thứ nhất trong tuần lễ ăn bánh không men là ngày giết chiên mừng lễ Vượt Qua, các môn đệ thưa Chúa Giêsu rằng: “Thầy muốn chúng con đi dọn cho Thầy ăn Lễ Vượt Qua tại đâu?” Người liền sai hai môn đệ đi và dặn rằng: “Các con hãy vào thành, và nếu gặp một người mang vò nước thì hãy đi theo người đó. Hễ người ấy vào nhà nào thì các con hãy nói với chủ nhà rằng: Thầy sai chúng tôi hỏi: ‘Căn phòng Ta sẽ ăn Lễ Vượt Qua với các môn đệ ở đâu?’ Và chủ nhà sẽ chỉ cho các con một căn phòng rộng rãi dọn sẵn sàng và các con hãy sửa soạn cho chúng ta ở đó”. Hai môn đệ đi vào thành và thấy mọi sự như Người đã bảo và hai ông dọn Lễ Vượt Qua.\rÐang khi họ ăn, Chúa Giêsu cầm lấy bánh, đọc lời chúc tụng, bẻ ra và trao cho các ông mà phán: “Các con hãy cầm lấy, này là Mình Ta”. Rồi Người cầm lấy chén, tạ ơn, trao cho các ông và mọi người đều uống. Và Người bảo các ông: “Này là Máu Ta, Máu tân ước sẽ đổ ra cho nhiều người. Ta bảo thật các con: Ta sẽ chẳng còn uống rượu nho này nữa cho đến ngày Ta sẽ uống rượu mới trong nước Thiên Chúa”. Sau khi hát Thánh Vịnh, Thầy trò đi lên núi Cây Dầu.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"St 14, 18-20","info":"“Ông mang bánh và rượu tới”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Melkixêđê là vua thành Salem, đem bánh và rượu tới, vì ông là thượng tế của Thiên Chúa Tối Cao, ông chúc phúc cho Abram rằng: “Xin Thiên Chúa Tối Cao và Ðấng tạo thành trời đất chúc phúc cho Abram, và đáng chúc tụng thay Thiên Chúa Tối Cao, vì nhờ Người che chở, quân thù đã rơi vào tay ông”. Và Abram dâng cho ông một phần mười tất cả chiến lợi phẩm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 109, 1. 2. 3. 4","response":"Ðáp: Con là Thượng tế tới muôn đời theo phẩm hàm Melkixêđê (c. 4bc).","verses":["Xướng: Thiên Chúa đã ban bố cùng Chúa tôi rằng: “Con hãy ngồi bên hữu Ta, cho tới khi Ta bắt quân thù làm bệ kê dưới chân Con”.","Xướng: Ðức Thiên Chúa từ Sion sẽ phô bày vương trượng quyền bính của Ngài, rằng: “Con hãy thống trị giữa quân thù”.","Xướng:  “Các thủ lãnh cùng hiện diện bên Con, ngày Con giáng sinh trong thánh thiện huy hoàng: trước rạng đông, tựa hồ sương sa, Ta đã sinh hạ ra Con”.","Xướng: Ðức Thiên Chúa đã thề và không hối hận rằng: “Con là Thượng tế tới muôn đời theo phẩm hàm Melkixêđê”."]},"secondReading":{"excerpt":"1 Cr 11, 23-26","info":"“Mỗi khi anh em ăn và uống anh em loan truyền việc Chúa chịu chết”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, phần tôi, tôi đã lãnh nhận nơi Chúa điều mà tôi đã truyền lại cho anh em, là Chúa Giêsu trong đêm bị nộp, Người cầm lấy bánh và tạ ơn, bẻ ra và phán: “Các con hãy lãnh nhận mà ăn, này là Mình Ta, sẽ bị nộp vì các con: Các con hãy làm việc này mà nhớ đến Ta”. Cùng một thể thức ấy, sau bữa ăn tối, Người cầm lấy chén và phán: “Chén này là Tân Ước trong Máu Ta; mỗi khi các con uống, các con hãy làm việc này mà nhớ đến Ta”. Vì mỗi khi anh em ăn bánh và uống chén này, anh em loan truyền việc Chúa chịu chết, cho tới khi Chúa lại đến.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 51-52","content":"Alleluia, Alleluia – Chúa phán: “Ta là bánh hằng sống từ trời xuống; ai ăn bánh này, thì sẽ sống đời đời”. – Alleluia."},"gospel":{"excerpt":"Lc 9, 11b-17","info":"“Tất cả đều ăn no nê”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu nói với dân chúng về nước Thiên Chúa và chữa lành những kẻ cần được cứu chữa. Vậy khi đã xế chiều, nhóm mười hai đến thưa Người rằng: “Xin Thầy giải tán dân chúng, để họ đi vào trong các làng mạc và trại quanh đây mà trú ngụ và kiếm thức ăn, vì chúng ta đang ở nơi hoang địa”. Nhưng Người nói với các ông: “Các con hãy cho họ ăn đi”. Các ông trả lời: “Chúng con chỉ có năm chiếc bánh và hai con cá, trừ phi chúng con phải đi mua thức ăn cho cả đám đông này”. Số đàn ông độ năm ngàn. Người nói với các môn đệ rằng: “Hãy cho họ ngồi xuống từng nhóm độ năm mươi người”. Các ông đã làm như thế, và bảo tất cả ngồi xuống. Chúa Giêsu cầm lấy năm chiếc bánh và hai con cá, nhìn lên trời, đọc lời chúc tụng, bẻ ra và phân phát cho các môn đệ để các ông dọn ra cho dân chúng. Tất cả đều ăn no nê, và người ta thu lượm được mười hai thúng miếng vụn còn dư lại.","end":"Ðó là lời Chúa"}}},
+        "5440": {"A":{"firstReading":{"excerpt":"Ðnl 7, 6-11","info":"“Chúa đã yêu thương và tuyển chọn các ngươi”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói cùng dân chúng rằng: “Các ngươi là một dân hiến thánh cho Chúa là Thiên Chúa các ngươi. Chúa là Thiên Chúa các ngươi đã chọn các ngươi để làm dân riêng của Người giữa mọi dân tộc trên mặt đất. Không phải vì các ngươi đông số hơn mọi dân tộc khác mà Thiên Chúa gắn bó với các ngươi và tuyển chọn các ngươi, vì thực ra, các ngươi ít số hơn mọi dân tộc khác; nhưng vì Chúa đã yêu thương các ngươi và giữ lời đã thề hứa với tổ phụ các ngươi rằng: Người dùng tay mạnh mẽ mà dẫn đưa và cứu chuộc các ngươi khỏi cảnh nô lệ, khỏi tay Pharaon vua Ai-cập. Các ngươi sẽ biết rằng Chúa là Thiên Chúa các ngươi, chính Người là Thiên Chúa hùng mạnh, trung thành giữ lời giao ước và lòng thương xót với những kẻ yêu mến Người, và những kẻ tuân giữ lề luật Người cho đến muôn thế hệ. Người báo oán ngay những kẻ thù ghét Người, bằng cách tiêu diệt chúng không trì hoãn, trả báo tức khắc như chúng đã đáng tội. Vì vậy các ngươi hãy tuân giữ điều răn, nghi lễ và lề luật mà ta truyền cho các ngươi hôm nay, để các ngươi thi hành”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 6-7. 8 và 10","response":"Ðáp: Lòng yêu thương của Chúa vẫn tồn tại, từ thuở này tới thuở kia cho những ai kính sợ Người (c. 17).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa! Toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã thứ tha cho (ngươi) mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân, Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Chúa thi hành những việc công minh, và trả lại quyền lợi cho những người bị ức. Người tỏ cho Môsê được hay đường lối, tỏ công cuộc Người cho con cái Israel.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi."]},"secondReading":{"excerpt":"1 Ga 4, 7-16","info":"“Thiên Chúa thương yêu chúng ta trước”.","title":"Trích thư thứ nhất của Thánh Gioan Tông đồ.","content":"Các con thân mến, chúng ta phải thương yêu nhau, vì tình yêu bởi Thiên Chúa mà ra. Vì lẽ hễ ai thương yêu, thì đã sinh bởi Thiên Chúa, và nhận biết Thiên Chúa. Còn ai không yêu thương, thì không biết Thiên Chúa, vì Thiên Chúa là Tình Yêu.\rÐiều này biểu lộ tình yêu của Thiên Chúa đối với chúng ta: là Thiên Chúa chúng ta đã sai Con Một Người đến trong thế gian, để nhờ Ngài mà chúng ta được sống. Tình yêu ấy là thế này: Không phải chúng ta đã yêu mến Thiên Chúa, nhưng chính Người đã thương yêu chúng ta trước, và đã sai Con Một Người đến hy sinh, đền thay vì tội lỗi chúng ta.\rCác con thân mến, nếu Thiên Chúa thương yêu chúng ta dường ấy, thì chúng ta cũng phải thương yêu nhau. Chẳng ai thấy Thiên Chúa bao giờ, nếu chúng ta thương yêu nhau, thì Thiên Chúa ở trong chúng ta, và tình yêu của Người nơi chúng ta đã được tuyệt hảo. Do điều này mà chúng ta biết chúng ta ở trong Người và Người ở trong chúng ta: là Người đã ban Thánh Thần cho chúng ta. Và chúng ta đã thấy và chứng nhận rằng Chúa Cha đã sai Con mình làm Ðấng Cứu Thế.\rAi tuyên xưng Ðức Giêsu là Con Thiên Chúa, thì Thiên Chúa ở trong người ấy, và người ấy ở trong Thiên Chúa. Còn chúng ta, chúng ta đã biết và tin vào tình yêu của Thiên Chúa đối với chúng ta. Thiên Chúa là Tình Yêu, và ai ở trong tình yêu, thì ở trong Thiên Chúa, và Thiên Chúa ở trong người ấy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 11, 29ab","content":"Alleluia, Alleluia – Các ngươi hãy mang lấy ách của Ta, và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng. – Alleluia."},"gospel":{"excerpt":"Mt 11, 25-30","info":"“Ta hiền lành và khiêm nhượng trong lòng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu cất tiếng nói rằng: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã giấu không cho những người hiền triết và khôn ngoan biết những điều ấy, mà lại mạc khải cho những kẻ bé mọn. Vâng, lạy Cha, vì ý Cha muốn như vậy. Mọi sự đã được Cha Ta trao phó cho Ta. Và không ai biết Con, trừ ra Cha. Và cũng không ai biết Cha, trừ ra Con và kẻ mà Con muốn mạc khải cho.\r“Tất cả hãy đến cùng Ta, hỡi những ai khó nhọc và gánh nặng, Ta sẽ nâng đỡ bổ sức cho các ngươi. Hãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng, và tâm hồn các ngươi sẽ gặp được bình an. Vì ách của Ta thì êm ái và gánh của Ta thì nhẹ nhàng”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Hs 11, 1b, 3-4, 8c-9","info":"“Quả tim Ta thổn thức trong Ta và ruột gan Ta bồi hồi”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Thiên Chúa phán: “Lúc Israel còn niên thiếu, Ta đã yêu thương nó, và Ta đã gọi con Ta ra khỏi Ai-cập.\r“Ta đã dưỡng nuôi Ephraim, Ta đã bồng chúng trên cánh tay Ta mà chúng không biết Ta chăm sóc chúng. Ta đã dùng dây êm ái và mối yêu thương mà tập (cho) chúng đi; Ta đối xử với chúng như người dưỡng nuôi trẻ thơ, Ta đã ấp yêu chúng vào má. Ta nghiêng mình trên chúng và đút cho chúng ăn.\rQuả tim Ta thổn thức trong Ta và ruột gan Ta bồi hồi. Ta sẽ không buông thả theo cơn giận của Ta. Ta sẽ không huỷ diệt Ephraim, vì Ta là Thiên Chúa chứ không phải người phàm; Ta là Ðấng Thánh ở giữa ngươi, Ta không thích tiêu diệt”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","response":"Ðáp: Các ngươi sẽ hân hoan múc nước nơi suối Ðấng Cứu Ðộ (c. 3).","verses":["Xướng: Ðây Thiên Chúa là Ðấng Cứu Chuộc tôi, tôi sẽ tin tưởng mà hành động và không khiếp sợ: vì Chúa là sức mạnh, là Ðấng tôi ngợi khen, Người sẽ trở nên cho tôi phần rỗi.","Xướng: Hãy ca tụng Chúa và kêu cầu danh Người, hãy công bố cho các dân biết kỳ công của Chúa, hãy nhớ lại danh Chúa rất cao sang.","Xướng: Hãy ca tụng, vì Người làm nên những việc kỳ diệu, hãy cao rao việc đó trên khắp hoàn cầu. Hỡi người cư ngụ tại Sion, hãy nhảy mừng ca hát, vì Ðấng cao cả là Ðấng Thánh Israel ở giữa ngươi."]},"secondReading":{"excerpt":"Ep 3, 8-12. 14-19","info":"“Biết lòng mến của Ðức Kitô vượt quá trí hiểu loài người”.","title":"Trích thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, tôi là kẻ hèn nhất trong các thánh, nhưng đã được ơn này là rao giảng cho Dân Ngoại những sự giàu có không thể thấu hiểu được, và soi sáng cho mọi người biết cách thức phân phát mầu nhiệm đã được ẩn giấu từ muôn thuở trong Thiên Chúa, Ðấng tạo thành vạn vật: khiến các chủ thần và quyền thần thiên quốc đều phải nhờ Hội thánh mới biết được sự khôn ngoan muôn hình vạn trạng của Thiên Chúa, thể theo dự định từ trước muôn đời mà Ngài đã thi hành trong Ðức Giêsu Kitô, Chúa chúng ta. Trong Người, chúng ta được cậy trông và nhờ lòng tin vào Ngài, chúng ta mạnh dạn đến cùng Ngài.\rNhân vì lẽ ấy, tôi quỳ gối trước mặt Cha Ðức Giêsu Kitô, Chúa chúng ta. Ngài là nguồn gốc mọi danh phận làm cha trên trời dưới đất. Xin Ngài chiếu theo sự giàu có vinh quang của Ngài và nhờ Thánh Thần của Ngài, thêm sức mạnh cho anh em được nên người thiêng liêng, và nhờ đức tin, anh em được Ðức Kitô ngự trong lòng anh em, làm cho anh em đâm rễ sâu và lập nền kiên cố trong đức mến, để anh em được hiệp cùng các thánh mà hiểu biết chiều rộng, dài, cao, sâu, và cũng được biết lòng mến của Ðức Kitô vượt quá trí hiểu loài người, để anh em được sung mãn trong mọi sự viên mãn của Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 11, 29ab","content":"Alleluia, Alleluia – Các ngươi hãy mang lấy ách của Ta, và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng. – Alleluia.  \r Hoặc đọc:  Alleluia, Alleluia – Thiên Chúa đã yêu thương chúng ta trước, và đã sai Con Một Người đến hy sinh, đền thay vì tội lỗi chúng ta. – Alleluia."},"gospel":{"excerpt":"Ga 19, 31-37","info":"“Tên lính đâm thủng cạnh sườn Người, và máu cùng nước chảy ra”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Bởi lẽ là Ngày Chuẩn Bị, và để tránh cho các tử thi không còn treo trên thập giá trong ngày sabbat, vì ngày sabbat là một ngày trọng đại, những người Do-thái xin Philatô cho hạ các tử thi xuống, sau khi đánh giập ống chân. Bấy giờ những người lính đến, đánh giập ống chân người thứ nhất và người thứ hai cùng bị đóng đinh với Chúa Giêsu. Khi đến gần Chúa Giêsu, chúng thấy Người đã chết, nên không đánh giập ống chân Người; nhưng một tên lính lấy ngọn giáo đâm thủng cạnh sườn Người, và lập tức máu cùng nước chảy ra. Và kẻ đã xem thấy, thì đã minh chứng, mà lời chứng của người đó chân thật, và người đó biết rằng mình nói thật để cả chư vị cũng tin. Những điều đó đã xảy ra để ứng nghiệm lời Kinh Thánh rằng: “Không một cái xương nào của Người bị đánh giập”. Và lại có lời Kinh Thánh khác rằng: “Chúng sẽ nhìn vào Ðấng chúng đã đâm thâu qua”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Ed 34, 11-16","info":"“Ta sẽ săn sóc đoàn chiên Ta và sẽ kiểm soát chúng”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Ðây Chúa là Thiên Chúa phán: “Này chính Ta săn sóc đoàn chiên Ta và Ta sẽ kiểm soát chúng. Như một mục tử kiểm điểm đoàn chiên trong ngày chúng bị tản mát, thì Ta cũng kiểm điểm đoàn chiên Ta như vậy. Ta sẽ giải thoát chúng khỏi mọi nơi mà chúng đã bị phân tán. Ta sẽ dẫn chúng ra khỏi các dân tộc, sẽ tụ họp chúng từ khắp mặt đất, và đưa chúng vào đất của chúng. Ta sẽ chăn dắt chúng trên các miền núi Israel, dọc theo các bờ suối, và trong những miền có dân cư. Ta sẽ thả chúng ăn trên những ngọn núi cao Israel, chúng nghỉ ngơi trong những đồng cỏ xanh tươi, và chúng ăn trong đồng cỏ màu mỡ trên miền núi Israel. Chính Ta sẽ chăn dắt các chiên Ta; chính Ta sẽ cho chúng nằm nghỉ, Chúa là Thiên Chúa phán như thế. Ta sẽ tìm con chiên đã mất, sẽ đem về con chiên lạc, sẽ băng bó con chiên bị thương tích, sẽ lo chữa con chiên bị ốm đau, con nào mập béo, Ta sẽ chăm sóc, và sẽ chăn dắt nó trong sự công chính”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3. 4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi (c. 1).","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng. Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. ","Xướng: (Lạy Chúa,) dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con. ","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa. ","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài. "]},"secondReading":{"excerpt":"Rm 5, 5-11","info":"“Thiên Chúa chứng tỏ tình yêu của Người Ðối với chúng ta “.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tình yêu của Thiên Chúa tuôn đổ trong tâm hồn chúng ta nhờ Thánh Thần đã ban cho chúng ta. Chúa Kitô theo kỳ hẹn mà chịu chết vì chúng ta là kẻ tội lỗi. Ít có ai chết thay cho người công chính, hoạ chăng mới có người dám chết vì kẻ lành. Nhưng Thiên Chúa chứng tỏ tình yêu của Người đối với chúng ta, nghĩa là trong lúc chúng ta còn là tội nhân, thì theo kỳ hẹn, Chúa Kitô đã chết vì chúng ta.\rVậy phương chi bây giờ, chúng ta đã nên công chính trong máu của Người, và nhờ Người chúng ta sẽ được cứu khỏi cơn thịnh nộ. Bởi chưng nếu khi chúng ta còn là thù nghịch, mà chúng ta đã được giao hoà cùng Thiên Chúa nhờ cái chết của Con Ngài, thì huống chi khi đã được giao hoà, ắt chúng ta sẽ được cứu độ trong sự sống của chính Chúa Kitô. Và không những thế, chúng ta còn được vinh hiển trong Thiên Chúa nhờ Ðức Giêsu Kitô, Chúa chúng ta, nhờ Người mà bây giờ chúng ta được lãnh ơn giao hoà.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10,14","content":"Alleluia, Alleluia – Chúa phán: “Ta là mục tử tốt lành, Ta biết các chiên Ta, và các chiên Ta biết Ta”. – Alleluia."},"gospel":{"excerpt":"Lc 15, 3-7","info":"“Anh em hãy chia vui với tôi, vì tôi đã tìm thấy con chiên lạc”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các người biệt phái và luật sĩ dụ ngôn này rằng: “Ai trong các ông có một trăm con chiên, và nếu mất một con, lại không để chín mươi chín con khác trong hoang địa mà đi tìm con chiên lạc, cho đến khi tìm được sao? Và khi đã tìm thấy, người đó vui mừng vác chiên trên vai, trở về nhà, kêu bạn hữu và những người lân cận mà nói rằng: ‘Anh em hãy chia vui với tôi, vì tôi đã tìm thấy con chiên lạc!’ Cũng vậy, Tôi bảo các ông: Trên trời sẽ vui mừng vì một người tội lỗi hối cải hơn là vì chín mươi chín người công chính không cần hối cải”.","end":"Ðó là lời Chúa"}}},
+        "5450": {"A":{"firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","info":"“Áo Người trắng như tuyết”.","title":"Trích sách Tiên tri Ðaniel.","content":"Tôi ngắm nhìn cho đến khi đặt ngai toà xong, và một vị Bô Lão ngự trên ngai: áo Người trắng như tuyết, tóc trên đầu Người như những ngọn lửa, các bánh xe như lửa cháy. Một con sông lửa chảy lan tràn trước mặt Người. Hằng ngàn kẻ phụng sự Người, và muôn vàn kẻ chầu chực Người. Người ngự toà xét xử, và các quyển sách đều mở ra.\rTrong một thị kiến ban đêm, tôi đã ngắm nhìn, và đây tôi thấy như Con Người đến trong đám mây trên trời. Ngài tiến đến vị Bô Lão, và người ta dẫn Ngài đến trước mặt vị Bô Lão. Vị này ban cho Ngài quyền năng, vinh dự và vương quốc: Tất cả các dân tộc, chi họ, và tiếng nói đều phụng sự Ngài: quyền năng của Ngài là quyền năng vĩnh cửu, không khi nào bị cất mất: vương quốc của Ngài không khi nào bị phá huỷ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 9","response":"Ðáp: Chúa hiển trị, Chúa là Ðấng tối cao trên toàn cõi đất (c. 1a và 9a).","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan; hải đảo muôn ngàn, hãy mừng vui. Mây khói và sương mù bao toả chung quanh; công minh chính trực là nền kê ngai báu.","Xướng: Núi non vỡ lở như mẩu sáp ong trước thiên nhan, trước thiên nhan Chúa tể toàn cõi trái đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người.","Xướng: Lạy Chúa, vì Ngài là Ðấng tối cao trên toàn cõi đất, Ngài rất đỗi siêu phàm giữa muôn chúa tể."]},"secondReading":{"excerpt":"2 Pr 1, 16-19","info":"“Chúng tôi đã nghe tiếng ấy từ trời phán xuống”.","title":"Trích thư thứ hai của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, chúng tôi không theo những truyện bày đặt khôn khéo, để tỏ ra cho anh em biết quyền năng và sự hiện diện của Ðức Giêsu Kitô, Chúa chúng ta; nhưng chúng tôi đã được chứng kiến nhãn tiền sự uy nghi của Người. Người đã được Chúa Cha ban cho vinh dự và vinh quang, khi có lời từ sự vinh quang cao cả xuống phán về Người rằng: “Này là Con Ta yêu dấu, Người đẹp lòng Ta, các ngươi hãy nghe lời Người”. Chúng tôi đã nghe tiếng ấy từ trời phán xuống, lúc chúng tôi ở với Người trên núi thánh. Và chúng tôi có lời nói chắc chắn hơn nữa là lời nói tiên tri: anh em nên nghe theo lời đó, nó như ngọn đèn sáng soi trong nơi u tối, cho đến khi rạng đông và sao mai mọc lên trong lòng anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 17, 5c","content":"alleluia! – Này là Con Ta yêu dấu rất đẹp lòng Ta, các ngươi hãy nghe lời Người. – Alleluia."},"gospel":{"excerpt":"Mt 17, 1-9","info":"“Mặt Người chiếu sáng như mặt trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu gọi Phêrô, Giacôbê và Gioan là em ông này, và Người đưa các ông tới chỗ riêng biệt trên núi cao. Người biến hình trước mặt các ông: mặt Người chiếu sáng như mặt trời, áo Người trở nên trắng như tuyết. Và đây ông Môsê và Êlia hiện ra và đàm đạo với Người.\rBấy giờ ông Phêrô lên tiếng thưa Chúa Giêsu rằng: “Lạy Thầy, chúng con được ở đây thì tốt lắm; nếu Thầy ưng, chúng con xin làm ba lều, một cho Thầy, một cho Môsê, và một cho Êlia”. Lúc ông còn đang nói, thì có một đám mây sáng bao phủ các Ngài, và có tiếng từ trong đám mây phán rằng: “Ðây là Con Ta yêu dấu rất đẹp lòng Ta, các ngươi hãy nghe lời Người”. Nghe thấy vậy, các môn đệ ngã sấp xuống và hết sức sợ hãi. Bấy giờ Chúa Giêsu đến gần, động đến các ông và bảo: “Các con hãy đứng dậy, đừng sợ”. Ngước mắt lên, các ông thấy chẳng còn ai, trừ ra một mình Chúa Giêsu.\rVà trong lúc từ trên núi đi xuống, Chúa Giêsu đã ra lệnh cho các ông rằng: “Các con không được nói với ai về việc đã thấy, cho tới khi Con Người từ cõi chết sống lại”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","info":"“Áo Người trắng như tuyết”.","title":"Trích sách Tiên tri Ðaniel.","content":"Tôi ngắm nhìn cho đến khi đặt ngai toà xong, và một vị Bô Lão ngự trên ngai: áo Người trắng như tuyết, tóc trên đầu Người như những ngọn lửa, các bánh xe như lửa cháy. Một con sông lửa chảy lan tràn trước mặt Người. Hằng ngàn kẻ phụng sự Người, và muôn vàn kẻ chầu chực Người. Người ngự toà xét xử, và các quyển sách đều mở ra.\rTrong một thị kiến ban đêm, tôi đã ngắm nhìn, và đây tôi thấy như Con Người đến trong đám mây trên trời. Ngài tiến đến vị Bô Lão, và người ta dẫn Ngài đến trước mặt vị Bô Lão. Vị này ban cho Ngài quyền năng, vinh dự và vương quốc: Tất cả các dân tộc, chi họ, và tiếng nói đều phụng sự Ngài: quyền năng của Ngài là quyền năng vĩnh cửu, không khi nào bị cất mất: vương quốc của Ngài không khi nào bị phá huỷ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 9","response":"Ðáp: Chúa hiển trị, Chúa là Ðấng tối cao trên toàn cõi đất (c. 1a và 9a).","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan; hải đảo muôn ngàn, hãy mừng vui. Mây khói và sương mù bao toả chung quanh; công minh chính trực là nền kê ngai báu.","Xướng: Núi non vỡ lở như mẩu sáp ong trước thiên nhan, trước thiên nhan Chúa tể toàn cõi trái đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người.","Xướng: Lạy Chúa, vì Ngài là Ðấng tối cao trên toàn cõi đất, Ngài rất đỗi siêu phàm giữa muôn chúa tể."]},"secondReading":{"excerpt":"2 Pr 1, 16-19","info":"“Chúng tôi đã nghe tiếng ấy từ trời phán xuống”.","title":"Trích thư thứ hai của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, chúng tôi không theo những truyện bày đặt khôn khéo, để tỏ ra cho anh em biết quyền năng và sự hiện diện của Ðức Giêsu Kitô, Chúa chúng ta; nhưng chúng tôi đã được chứng kiến nhãn tiền sự uy nghi của Người. Người đã được Chúa Cha ban cho vinh dự và vinh quang, khi có lời từ sự vinh quang cao cả xuống phán về Người rằng: “Này là Con Ta yêu dấu, Người đẹp lòng Ta, các ngươi hãy nghe lời Người”. Chúng tôi đã nghe tiếng ấy từ trời phán xuống, lúc chúng tôi ở với Người trên núi thánh. Và chúng tôi có lời nói chắc chắn hơn nữa là lời nói tiên tri: anh em nên nghe theo lời đó, nó như ngọn đèn sáng soi trong nơi u tối, cho đến khi rạng đông và sao mai mọc lên trong lòng anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 17, 5c","content":"alleluia! – Này là Con Ta yêu dấu rất đẹp lòng Ta, các ngươi hãy nghe lời Người. – Alleluia."},"gospel":{"excerpt":"Mc 9, 1-9","info":"“Ðây là Con Ta yêu dấu”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đưa Phêrô, Giacôbê, và Gioan đi riêng với Người lên núi cao, và Người biến hình trước mặt các ông, và áo Người trở nên chói lọi trắng tinh như tuyết, không thợ giặt nào trên trần gian có thể giặt trắng đến thế. Rồi Êlia cùng Môsê hiện ra và đàm đạo với Chúa Giêsu.\rBấy giờ Phêrô lên tiếng thưa Chúa Giêsu rằng: “Lạy Thầy, chúng con được ở đây thì tốt lắm, chúng con xin làm ba lều, một cho Thầy, một cho Môsê, và một cho Êlia”. Phêrô không rõ mình nói gì, vì các ông đều hoảng sợ. Lúc đó một đám mây bao phủ các Ngài, và từ đám mây có tiếng phán rằng: “Ðây là con Ta yêu dấu, các ngươi hãy nghe lời Người”. Bỗng nhìn chung quanh, các ông không còn thấy ai khác, chỉ còn một mình Chúa Giêsu với các ông.\rVà trong lúc từ trên núi đi xuống, Chúa Giêsu đã ra lệnh cho các ông đừng thuật lại cho ai những điều vừa xem thấy, trước khi Con Người từ cõi chết sống lại. Các ông tuân lời căn dặn đó, nhưng vẫn tự hỏi nhau: “Từ trong cõi chết sống lại nghĩa là gì?”","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Ðn 7, 9-10. 13-14","info":"“Áo Người trắng như tuyết”.","title":"Trích sách Tiên tri Ðaniel.","content":"Tôi ngắm nhìn cho đến khi đặt ngai toà xong, và một vị Bô Lão ngự trên ngai: áo Người trắng như tuyết, tóc trên đầu Người như những ngọn lửa, các bánh xe như lửa cháy. Một con sông lửa chảy lan tràn trước mặt Người. Hằng ngàn kẻ phụng sự Người, và muôn vàn kẻ chầu chực Người. Người ngự toà xét xử, và các quyển sách đều mở ra.\rTrong một thị kiến ban đêm, tôi đã ngắm nhìn, và đây tôi thấy như Con Người đến trong đám mây trên trời. Ngài tiến đến vị Bô Lão, và người ta dẫn Ngài đến trước mặt vị Bô Lão. Vị này ban cho Ngài quyền năng, vinh dự và vương quốc: Tất cả các dân tộc, chi họ, và tiếng nói đều phụng sự Ngài: quyền năng của Ngài là quyền năng vĩnh cửu, không khi nào bị cất mất: vương quốc của Ngài không khi nào bị phá huỷ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 9","response":"Ðáp: Chúa hiển trị, Chúa là Ðấng tối cao trên toàn cõi đất (c. 1a và 9a).","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan; hải đảo muôn ngàn, hãy mừng vui. Mây khói và sương mù bao toả chung quanh; công minh chính trực là nền kê ngai báu. – Ðáp.","Xướng: Núi non vỡ lở như mẩu sáp ong trước thiên nhan, trước thiên nhan Chúa tể toàn cõi trái đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người. – Ðáp.","Xướng: Lạy Chúa, vì Ngài là Ðấng tối cao trên toàn cõi đất, Ngài rất đỗi siêu phàm giữa muôn chúa tể. – Ðáp."]},"secondReading":{"excerpt":"2 Pr 1, 16-19","info":"“Chúng tôi đã nghe tiếng ấy từ trời phán xuống”.","title":"Trích thư thứ hai của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, chúng tôi không theo những truyện bày đặt khôn khéo, để tỏ ra cho anh em biết quyền năng và sự hiện diện của Ðức Giêsu Kitô, Chúa chúng ta; nhưng chúng tôi đã được chứng kiến nhãn tiền sự uy nghi của Người. Người đã được Chúa Cha ban cho vinh dự và vinh quang, khi có lời từ sự vinh quang cao cả xuống phán về Người rằng: “Này là Con Ta yêu dấu, Người đẹp lòng Ta, các ngươi hãy nghe lời Người”. Chúng tôi đã nghe tiếng ấy từ trời phán xuống, lúc chúng tôi ở với Người trên núi thánh. Và chúng tôi có lời nói chắc chắn hơn nữa là lời nói tiên tri: anh em nên nghe theo lời đó, nó như ngọn đèn sáng soi trong nơi u tối, cho đến khi rạng đông và sao mai mọc lên trong lòng anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 17, 5c","content":"alleluia! – Này là Con Ta yêu dấu rất đẹp lòng Ta, các ngươi hãy nghe lời Người. – Alleluia."},"gospel":{"excerpt":"Lc 9, 28b-36","info":"“Ðang khi cầu nguyện, diện mạo Người biến đổi khác thường”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đưa Phêrô, Giacôbê và Gioan lên núi cầu nguyện. Và đang khi cầu nguyện, diện mạo Người biến đổi khác thường và áo Người trở nên trắng tinh sáng láng. Bỗng có hai vị đàm đạo với Người, đó là Môsê và Êlia, hiện đến uy nghi, và nói về sự chết của Người sẽ thực hiện tại Giêrusalem. Phêrô và hai bạn ông đang ngủ mê, chợt tỉnh dậy, thấy vinh quang của Chúa và hai vị đang đứng với Người. Lúc hai vị từ biệt Chúa, Phêrô thưa cùng Chúa Giêsu rằng: “Lạy Thầy, chúng con được ở đây thì tốt lắm; chúng con xin làm ba lều, một cho Thầy, một cho Môsê, và một cho Êlia”. Khi nói thế, Phêrô không rõ mình nói gì. Lúc ông còn đang nói, thì một đám mây bao phủ các Ngài và thấy các ngài biến vào trong đám mây, các môn đệ đều kinh hoàng. Bấy giờ từ đám mây có tiếng phán rằng: “Ðây là Con Ta yêu dấu, các ngươi hãy nghe lời Người”. Và khi tiếng đang phán ra, thì chỉ thấy còn mình Chúa Giêsu. Suốt thời gian đó, các môn đệ giữ kín không nói với ai những điều mình đã chứng kiến.","end":"Ðó là lời Chúa"}}}
+    }
+});
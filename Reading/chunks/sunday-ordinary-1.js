@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-ordinary-1", {
+    "SUNDAY": {
+        "5010": {"A":{"firstReading":{"excerpt":"Is 42, 1-4. 6-7","info":"“Này là tôi tớ Ta, Ta hài lòng về người”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây là lời Chúa phán: “Này là tôi tớ Ta mà Ta nâng đỡ, là người Ta chọn, Ta hài lòng về người. Ta ban Thần trí Ta trên người. Người sẽ xét xử chư dân. Người sẽ không lớn tiếng, không thiên vị ai; không ai nghe tiếng người ở công trường. Người không bẻ gẫy cây lau bị giập, không dập tắt tim đèn còn khói. Người trung thành đem lại lẽ công bình. Người sẽ không buồn phiền, không nao núng, chỉ lo đặt công lý trên địa cầu, vì trăm đảo mong đợi lề luật người.\rTa là Chúa, Ta đã gọi con trong công lý, đã cầm lấy tay con, đã gìn giữ con, đã đặt con thành giao ước của dân, và nên ánh sáng của chư dân, để con mở mắt cho người mù, đưa ra khỏi tù những người bị xiềng xích, đưa ra khỏi ngục những người ngồi trong tối tăm”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 28, 1a và 2. 3ac-4. 3b và 9b-10","response":"Ðáp: Chúa sẽ chúc phúc cho dân Người trong cảnh thái bình (c. 11b).","verses":["Xướng: Các con cái Thiên Chúa hãy dâng kính Chúa, hãy dâng kính Chúa vinh quang xứng với danh Người; hãy mang lễ phục thánh để thờ lạy Chúa.","Xướng: Tiếng Chúa vang dội trên mặt nước, Chúa ngự trên muôn ngàn sóng nước. Tiếng Chúa phán ra trong uy quyền, tiếng Chúa phán ra trong oai vệ.","Xướng: Thiên Chúa oai nghiêm làm cho sấm sét nổ ran, và trong thánh đài của Chúa, mọi người kêu lên: Vinh quang! Chúa ngự trị trong cơn hồng thuỷ, và Chúa làm vua ngự trị tới muôn đời."]},"secondReading":{"excerpt":"Cv 10, 34-38","info":"“Chúa dùng Thánh Thần mà xức dầu tấn phong cho Người”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phêrô mở miệng nói rằng: “Quả thật, tôi nghiệm biết rằng Thiên Chúa không thiên tư tây vị, nhưng ở bất cứ xứ nào, ai kính sợ Người và thực hành sự công chính, đều được Người đón nhận. Thiên Chúa đã sai Lời Người đến cùng con cái Israel, loan tin bình an, nhờ Chúa Giêsu Kitô là Chúa muôn loài. Như anh em biết, điều đã xảy ra trong toàn cõi Giuđa, khởi đầu từ Galilêa, sau khi Gioan đã rao giảng phép rửa: ấy là Chúa Giêsu thành Nadarét. Thiên Chúa đã dùng Thánh Thần và quyền năng mà xức dầu tấn phong cho Người. Người đi qua mọi nơi, ban bố ơn lành và chữa mọi người bị quỷ ám, bởi vì Thiên Chúa ở với Người”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"x. Mc 9, 7","content":"Alleluia, Alleluia – Các tầng trời mở ra, tiếng Chúa Cha tuyên phán: “Này là Con Ta yêu dấu, hãy nghe lời Người”. – Alleluia."},"gospel":{"excerpt":"Mt 3, 13-17","info":"“Khi chịu phép rửa, Chúa Giêsu thấy Thánh Thần Chúa ngự xuống trên mình Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu bỏ xứ Galilêa mà đến với Gioan ở sông Giođan, để ông làm phép rửa cho. Nhưng Gioan can Người rằng: “Chính tôi phải được Ngài rửa, thế mà Ngài lại đến với tôi sao?” Chúa Giêsu liền đáp lại: “Không sao, vì chúng ta cần chu toàn bổn phận như thế”. Và bấy giờ ông Gioan chiều ý Người. Chúa Giêsu chịu phép rửa, rồi bước lên khỏi nước. Này đây các tầng trời mở ra, và Người thấy Thánh Thần Chúa ngự xuống như một bồ câu và đậu trên Người. Và ngay lúc ấy, có tiếng từ trời phán: “Này là Con yêu dấu của Ta, Con đẹp lòng Ta”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 42, 1-4. 6-7","info":"“Này là tôi tớ Ta, Ta hài lòng về người”.","title":"Trích sách Tiên tri I-sai-a.","content":"Ðây là lời Chúa phán: “Này là tôi tớ Ta mà Ta nâng đỡ, là người Ta chọn, Ta hài lòng về người. Ta ban Thần trí Ta trên người. Người sẽ xét xử chư dân. Người sẽ không lớn tiếng, không thiên vị ai; không ai nghe tiếng người ở công trường. Người không bẻ gẫy cây lau bị giập, không dập tắt tim đèn còn khói. Người trung thành đem lại lẽ công bình. Người sẽ không buồn phiền, không nao núng, chỉ lo đặt công lý trên địa cầu, vì trăm đảo mong đợi lề luật người.\rTa là Chúa, Ta đã gọi con trong công lý, đã cầm lấy tay con, đã gìn giữ con, đã đặt con thành giao ước của dân, và nên ánh sáng của chư dân, để con mở mắt cho người mù, đưa ra khỏi tù những người bị xiềng xích, đưa ra khỏi ngục những người ngồi trong tối tăm”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 28, 1a và 2. 3ac-4. 3b và 9b-10","response":"Ðáp: Chúa sẽ chúc phúc cho dân Người trong cảnh thái bình","verses":["Xướng: Các con cái Thiên Chúa hãy dâng kính Chúa, hãy dâng kính Chúa vinh quang xứng với danh Người; hãy mang lễ phục thánh để thờ lạy Chúa.","Xướng: Tiếng Chúa vang dội trên mặt nước, Chúa ngự trên muôn ngàn sóng nước. Tiếng Chúa phán ra trong uy quyền, tiếng Chúa phán ra trong oai vệ.","Xướng: Thiên Chúa oai nghiêm làm cho sấm sét nổ ran, và trong thánh đài của Chúa, mọi người kêu lên: Vinh quang! Chúa ngự trị trong cơn hồng thuỷ, và Chúa làm vua ngự trị tới muôn đời."]},"secondReading":{"excerpt":"Cv 10, 34-38","info":"“Chúa dùng Thánh Thần mà xức dầu tấn phong cho Người”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phê-rô mở miệng nói rằng: “Quả thật, tôi nghiệm biết rằng Thiên Chúa không thiên tư tây vị, nhưng ở bất cứ xứ nào, ai kính sợ Người và thực hành sự công chính, đều được Người đón nhận. Thiên Chúa đã sai Lời Người đến cùng con cái Ít-ra-en, loan tin bình an, nhờ Chúa Giê-su Ki-tô là Chúa muôn loài. Như anh em biết, điều đã xảy ra trong toàn cõi Giu-đa, khởi đầu từ Ga-li-lê-a, sau khi Gio-an đã rao giảng phép rửa: ấy là Chúa Giê-su thành Na-da-rét. Thiên Chúa đã dùng Thánh Thần và quyền năng mà xức dầu tấn phong cho Người. Người đi qua mọi nơi, ban bố ơn lành và chữa mọi người bị quỷ ám, bởi vì Thiên Chúa ở với Người”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"x. Mc 9, 7","content":"Alleluia, Alleluia – Các tầng trời mở ra, tiếng Chúa Cha tuyên phán: “Này là Con Ta yêu dấu, hãy nghe lời Người”. – Alleluia."},"gospel":{"excerpt":"Mc 1, 6b-11","info":"“Con là Con yêu dấu của Cha, Con đẹp lòng Cha”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Gio-an rao giảng rằng: “Có Ðấng đến sau tôi, nhưng quyền lực hơn tôi, tôi không xứng đáng cúi xuống cởi dây giày cho Người. Phần tôi, tôi đã rửa anh em trong nước, nhưng Người, Người sẽ rửa anh em trong Thánh Thần.”\rVà đã xảy ra là trong những ngày đó, Chúa Giê-su từ Na-da-rét xứ Ga-li-lê-a đến và chịu phép rửa bởi Gio-an ở sông Gio-đan. Khi vừa lên khỏi nước, Người liền thấy trời mở ra, thấy Thánh Thần như chim bồ câu ngự xuống trên mình. Và có tiếng từ trời phán: “Con là Con yêu dấu của Cha, Con đẹp lòng Cha”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Is 42, 1-4. 6-7","info":"“Này là tôi tớ Ta, Ta hài lòng về người”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây là lời Chúa phán: “Này là tôi tớ Ta mà Ta nâng đỡ, là người Ta chọn, Ta hài lòng về người. Ta ban Thần trí Ta trên người. Người sẽ xét xử chư dân. Người sẽ không lớn tiếng, không thiên vị ai; không ai nghe tiếng người ở công trường. Người không bẻ gẫy cây lau bị giập, không dập tắt tim đèn còn khói. Người trung thành đem lại lẽ công bình. Người sẽ không buồn phiền, không nao núng, chỉ lo đặt công lý trên địa cầu, vì trăm đảo mong đợi lề luật người.\rTa là Chúa, Ta đã gọi con trong công lý, đã cầm lấy tay con, đã gìn giữ con, đã đặt con thành giao ước của dân, và nên ánh sáng của chư dân, để con mở mắt cho người mù, đưa ra khỏi tù những người bị xiềng xích, đưa ra khỏi ngục những người ngồi trong tối tăm”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 28, 1a và 2. 3ac-4. 3b và 9b-10","response":"Ðáp: Chúa sẽ chúc phúc cho dân Người trong cảnh thái bình (c. 11b).","verses":["Xướng: Các con cái Thiên Chúa hãy dâng kính Chúa, hãy dâng kính Chúa vinh quang xứng với danh Người; hãy mang lễ phục thánh để thờ lạy Chúa.","Xướng: Tiếng Chúa vang dội trên mặt nước, Chúa ngự trên muôn ngàn sóng nước. Tiếng Chúa phán ra trong uy quyền, tiếng Chúa phán ra trong oai vệ.","Xướng: Thiên Chúa oai nghiêm làm cho sấm sét nổ ran, và trong thánh đài của Chúa, mọi người kêu lên: Vinh quang! Chúa ngự trị trong cơn hồng thuỷ, và Chúa làm vua ngự trị tới muôn đời."]},"secondReading":{"excerpt":"Cv 10, 34-38","info":"“Chúa dùng Thánh Thần mà xức dầu tấn phong cho Người”.","title":"Trích sách Tông đồ Công vụ.","content":"Trong những ngày ấy, Phêrô mở miệng nói rằng: “Quả thật, tôi nghiệm biết rằng Thiên Chúa không thiên tư tây vị, nhưng ở bất cứ xứ nào, ai kính sợ Người và thực hành sự công chính, đều được Người đón nhận. Thiên Chúa đã sai Lời Người đến cùng con cái Israel, loan tin bình an, nhờ Chúa Giêsu Kitô là Chúa muôn loài. Như anh em biết, điều đã xảy ra trong toàn cõi Giuđa, khởi đầu từ Galilêa, sau khi Gioan đã rao giảng phép rửa: ấy là Chúa Giêsu thành Nadarét. Thiên Chúa đã dùng Thánh Thần và quyền năng mà xức dầu tấn phong cho Người. Người đi qua mọi nơi, ban bố ơn lành và chữa mọi người bị quỷ ám, bởi vì Thiên Chúa ở với Người”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"x. Mc 9, 7","content":"Alleluia, Alleluia – Các tầng trời mở ra, tiếng Chúa Cha tuyên phán: “Này là Con Ta yêu dấu, hãy nghe lời Người”. – Alleluia."},"gospel":{"excerpt":"Lc 3, 15-16. 21-22","info":"“Khi Chúa Giêsu đã chịu phép rửa và đang cầu nguyện thì trời mở ra”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, trong lúc dân chúng đang mong đợi, và mọi người tự hỏi trong lòng rằng: “Gioan có phải là Ðấng Kitô không?”, Gioan lên tiếng bảo mọi người rằng: “Phần tôi, tôi rửa anh em trong nước, nhưng Ðấng cao trọng hơn tôi đang đến, và tôi không xứng đáng cởi dây giày cho Người, chính Người sẽ rửa anh em trong Chúa Thánh Thần và trong lửa!”\rVậy khi tất cả dân chúng đã chịu phép rửa, và chính lúc Chúa Giêsu cũng đã chịu phép rửa xong, Người đang cầu nguyện, thì trời mở ra và Thánh Thần Chúa ngự xuống trên Người dưới hình chim bồ câu, và có tiếng từ trời phán: “Con là Con yêu dấu của Cha, Con đẹp lòng Cha”.","end":"Ðó là lời Chúa"}}},
+        "5020": {"A":{"firstReading":{"excerpt":"Is 49, 3. 5-6","info":"“Ta đặt ngươi như ánh sáng các dân tộc, để ngươi nên ơn cứu độ của Ta”.","title":"Trích sách Tiên tri Isaia.","content":"Chúa đã phán cùng tôi: “Hỡi Israel, ngươi là tôi tớ Ta, vì Ta được vinh danh nơi ngươi”.\rVà bây giờ, Chúa phán, Người đã huấn luyện tôi khi tôi còn trong lòng mẹ, để tôi trở nên tôi tớ Người, để đem Giacóp về cho Người, và quy tụ Israel quanh Người. Tôi được ca tụng trước mắt Chúa và Thiên Chúa là sức mạnh của tôi. Người đã phán: “Làm tôi tớ Ta chẳng có là bao, để tái lập các chi họ Giacóp, để dẫn đưa các người Israel sống sót trở về; này đây Ta đặt ngươi như ánh sáng các dân tộc để ơn cứu độ của Ta tràn lan khắp địa cầu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 2 và 4ab. 7-8a. 8b-9. 10","response":"Ðáp: Lạy Chúa, này con xin đến để thực thi ý Chúa (c. 8a và 9a).","verses":["Xướng: Con đã cậy trông, con đã cậy trông ở Chúa, Ngài đã nghiêng mình về bên con, và Ngài đã nghe tiếng con kêu cầu. Ngài đã đặt trong miệng con một bài ca mới, bài ca mừng Thiên Chúa chúng ta.","Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở rộng tai con. Chúa không đòi hỏi lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong quyển vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong Ðại Hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi."]},"secondReading":{"excerpt":"1 Cr 1, 1-3","info":"“Nguyện cho anh em được ân sủng và bình an của Thiên Chúa, Cha chúng ta”.","title":"Khởi đầu thư thứ I của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Phaolô, do thánh ý Chúa, được kêu gọi làm Tông đồ của Chúa Giêsu Kitô, và Sôtênê, anh em chúng tôi, kính chào Hội Thánh Chúa ở Côrintô, những người được thánh hoá trong Chúa Giêsu Kitô, được kêu gọi nên thánh, làm một với tất cả mọi người khắp nơi đang kêu cầu thánh danh Ðức Giêsu Kitô, Chúa chúng ta: Nguyện chúc cho anh em được ân sủng và bình an của Thiên Chúa Cha chúng ta, và của Chúa Giêsu Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Sm 3, 9","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe, Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Ga 1, 29-34","info":"“Ðây Chiên Thiên Chúa, đây Ðấng xoá tội trần gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, ông Gioan thấy Chúa Giêsu tiến về phía mình liền nói: “Ðây Chiên Thiên Chúa, đây Ðấng xoá tội trần gian. Này tôi đã nói về Ngài: Một người đến sau tôi, nhưng đã có trước tôi, vì Ngài cao trọng hơn tôi. Và tôi, tôi đã không biết Ngài, nhưng để Ngài được tỏ mình ra với Israel, nên tôi đã đến làm phép rửa trong nước”. Và Gioan đã làm chứng rằng: “Tôi đã thấy Thánh Thần như chim bồ câu từ trời đáp xuống và ngự trên Ngài. Về phần tôi, tôi đã không biết Ngài. Nhưng Ðấng sai tôi làm phép rửa trong nước phán bảo tôi: “Ngươi thấy Thánh Thần ngự xuống trên ai, thì đó chính là Ðấng làm phép rửa trong Chúa Thánh Thần”. Tôi đã thấy và tôi làm chứng: chính Ngài là Con Thiên Chúa”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"1 Sm 3, 3b-10. 19","info":"“Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Ngày ấy, Sa-mu-en ngủ trong đền thờ Chúa, nơi đặt Hòm Bia Thiên Chúa. Chúa đã gọi Sa-mu-en; cậu trả lời: “Này con đây”, rồi chạy đến Ê-li và nói: “Này con đây, vì thầy gọi con”. Ê-li trả lời: “Ta đâu có gọi, hãy trở về ngủ đi”. Sa-mu-en đi ngủ lại. Nhưng Chúa gọi Sa-mu-en lần nữa, và Sa-mu-en chỗi dậy, chạy đến Ê-li và nói: “Này con đây, vì thầy gọi con”. Ê-li trả lời: “Này con, Ta đâu có gọi, hãy trở về ngủ đi”. Sa-mu-en chưa nhận ra Chúa, và lời Chúa chưa được mạc khải cho cậu. Chúa lại gọi Sa-mu-en lần thứ ba. Cậu chỗi dậy, chạy đến Ê-li và nói: “Này con đây, vì thầy gọi con”. Ê-li biết Chúa đã gọi Sa-mu-en, nên nói với Sa-mu-en: “Hãy đi ngủ, và nếu Người còn gọi con, thì con nói rằng: ‘Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe'”. Sa-mu-en trở về chỗ mình và ngủ lại. Chúa đến gần và gọi Sa-mu-en như những lần trước: “Sa-mu-en, Sa-mu-en!” Và Sa-mu-en thưa: “Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe”.\rPhần Sa-mu-en ngày càng lớn lên. Chúa hằng ở cùng cậu, và cậu không để rơi mất lời nào của Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 2 và 4ab. 7-8a. 8b-9. 10","response":"Ðáp: Lạy Chúa, này con xin đến để thực thi ý Chúa","verses":["Xướng: Con đã cậy trông, con đã cậy trông ở Chúa, Ngài đã nghiêng mình về bên con, Ngài đã đặt trong miệng con một bài ca mới, bài ca mừng Thiên Chúa chúng ta.","Xướng: không đòi hỏi lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong quyển vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong Ðại Hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi."]},"secondReading":{"excerpt":"1 Cr 6, 13c-15a, 17-20","info":"“Thân xác anh em là chi thể của Chúa Ki-tô”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, thân xác không phải vì dâm dật, mà vì Chúa, và Chúa vì thân xác. Thiên Chúa đã cho Chúa sống lại, cũng sẽ dùng quyền năng Người cho ta sống lại.\rAnh em không biết thân xác anh em là chi thể của Chúa Ki-tô sao? Nhưng ai kết hợp với Chúa thì nên một thần trí. Vậy hãy xa lánh dâm dật. Mọi tội lỗi người ta phạm đều ngoài thân xác, nhưng kẻ tà dâm thì phạm tội trong thân xác mình. Anh em không biết thân xác anh em là đền thờ Chúa Thánh Thần, Ðấng ngự trong anh em mà anh em đã nhận lãnh nơi Thiên Chúa, vì anh em không còn thuộc về chính mình nữa sao? Vì anh em đã được mua chuộc bằng một giá rất lớn. Vậy anh em hãy tôn vinh Chúa trong thân xác anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 11,23","content":"Alleluia, Alleluia – Lạy Cha là Chúa trời đất, Chúa đáng chúc tụng, vì đã mạc khải cho các trẻ nhỏ biết những mầu nhiệm nước trời. – Alleluia."},"gospel":{"excerpt":"Ga 1, 35-42","info":"“Họ xem chỗ Người ở, và ở lại với Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Gio-an.","content":"Khi ấy, Gio-an đang đứng với hai người trong nhóm môn đệ của ông nhìn theo Chúa Giê-su đang đi mà nói: “Ðây là Chiên Thiên Chúa”. Hai môn đệ nghe ông nói, liền đi theo Chúa Giê-su. Chúa Giê-su ngoảnh mặt lại, thấy họ đi theo Mình, thì nói với họ: “Các ngươi tìm gì?” Họ thưa với Người: “Ráp-bi, nghĩa là: thưa Thầy, Thầy ở đâu?” Người đáp: “Hãy đến mà xem”. Họ đã đến và xem chỗ Người ở, và ở lại với Người ngày hôm ấy, lúc đó độ chừng giờ thứ mười.\rAn-rê, em ông Si-mon Phê-rô, (là) một trong hai người đã nghe Gio-an nói và đã đi theo Chúa Giê-su. Ông gặp Si-mon anh mình trước hết và nói với anh: “Chúng tôi đã gặp Ðấng Mê-si-a, nghĩa là Ðấng Ki-tô”. Và ông dẫn anh mình tới Chúa Giê-su. Chúa Giê-su nhìn Si-mon và nói: “Ngươi là Si-mon, con ông Gio-an, ngươi sẽ được gọi là Kê-pha, nghĩa là Ðá”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Is 62, 1-5","info":"“Người chồng sẽ vui mừng vì vợ”.","title":"Trích sách Tiên tri Isaia.","content":"Vì Sion, tôi sẽ không im tiếng, và vì Giêrusalem, tôi sẽ không nghỉ ngơi, cho đến khi Ðấng công chính xuất hiện như ánh sáng, Ðấng Cứu độ Sion đến như ngọn đuốc sáng ngời. Mọi dân tộc sẽ thấy Người là Ðấng công chính của ngươi, và mọi đế vương sẽ thấy vinh hiển Người. Chính Chúa sẽ đặt cho ngươi một tên mới. Ngươi sẽ là triều thiên vinh hiển trong tay Chúa, và vương miện quyền bính trong tay Thiên Chúa ngươi, ngươi sẽ không còn gọi là kẻ bị ruồng bỏ, và đất ngươi sẽ không còn gọi là chốn hoang vu. Ngươi sẽ được gọi là “kẻ Ta ưa thích”, và đất ngươi sẽ được gọi là đất có dân cư, vì ngươi đẹp lòng Thiên Chúa, và đất ngươi sẽ có dân cư.\r(Như) thanh niên sẽ ở cùng trinh nữ, con cái ngươi sẽ ở trong ngươi; (như) người chồng sẽ vui mừng vì vợ, Thiên Chúa ngươi sẽ vui mừng vì ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 7-8a. 9-10ac","response":"Ðáp: Hãy tường thuật phép lạ Chúa giữa chư dân","verses":["Xướng: Hãy ca mừng Thiên Chúa bài ca mới, hãy ca mừng Thiên Chúa đi, toàn thể địa cầu. Hãy ca mừng Thiên chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa chư dân, và phép lạ Người ở nơi vạn quốc.","Xướng: Hãy kính tặng Thiên Chúa, hỡi người chư dân bá tánh, hãy kính tặng Thiên Chúa quyền thế với vinh quang, hãy kính tặng Thiên Chúa vinh quang xứng với danh Người.","Xướng: Hãy mặc lễ phục, thờ lạy Thiên Chúa. Toàn thể địa cầu, hãy run sợ trước thiên nhan, hãy công bố giữa chư dân rằng Thiên Chúa ngự trị. Người cai quản chư dân theo đường đoan chính."]},"secondReading":{"excerpt":"1 Cr 12, 4-11","info":"“Cùng một Thánh Thần ban phát ơn riêng cho mỗi người theo như Người quy định”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Cô-rintô.","content":"Anh em thân mến, có những hồng ân khác nhau, nhưng vẫn là một Thánh Thần; có nhiều chức vụ khác nhau, nhưng chính là một Chúa; và có những hành động khác nhau, nhưng chính là một Thiên Chúa, Người thực hiện hết mọi cái trong mọi người. Ơn Thánh Thần ban cho mỗi người mỗi khác, cốt để mưu cầu công ích. Người thì được Thánh Thần cho lời khôn ngoan, kẻ khác thì được lời thông minh, theo cùng một Thánh Thần; người khác được đức tin, trong cùng một Thánh Thần; kẻ khác nữa được ơn chữa bệnh, trong cũng một Thánh Thần đó; có người được ơn làm phép lạ, có kẻ được ơn tiên tri, người khác được ơn phân biệt các thần trí; có người được ơn nói nhiều thứ tiếng; người khác được ơn giải thích các thứ tiếng. Nhưng cùng một Thánh Thần duy nhất thực hiện tất cả những điều đó. Người ban phát ơn riêng cho mỗi người theo như Người quy định.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến, bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Ga 2, 1-12","info":"“Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, có tiệc cưới tại Cana xứ Galilêa. Và có mẹ của Chúa Giêsu ở đó. Chúa Giêsu và các môn đệ Người cũng được mời dự tiệc cưới. Và bỗng thiếu rượu, mẹ Chúa Giêsu nói với Người: “Họ hết rượu rồi”. Chúa Giêsu nói với mẹ: “Hỡi bà, Con với bà có can chi đâu, giờ Con chưa đến”. Mẹ Người nói với những người giúp việc: “Hễ Người bảo gì, thì phải làm theo”. Ở đó có sáu chum đá, dùng vào việc thanh tẩy của người Do-thái, mỗi chum đựng được hai hoặc ba thùng nước. Chúa Giêsu bảo họ: “Hãy đổ nước đầy các chum”. Họ đổ đầy tới miệng. Và Chúa Giêsu bảo họ: “Bây giờ hãy múc đem cho người quản tiệc!” Và họ đã đem đi. Khi người quản tiệc nếm thử nước đã hoá thành rượu, ông không biết tự đâu ra, nhưng những người giúp việc đã múc nước thì biết, ông mới gọi tân lang mà nói: “Ai cũng đem rượu ngon ra trước, khi khách ngà ngà thì mới đem rượu xoàng hơn. Còn ông, ông lại giữ rượu ngon tới giờ này”. Chúa Giêsu đã làm phép lạ đầu tiên này tại Cana xứ Galilêa, và đã tỏ vinh quang Người và các môn đệ Người tin Người.\r{Sau đó Người xuống Capharnaum làm một với mẹ Người, anh em (Người) và môn đệ của Người, nhưng các Ngài chỉ lưu lại ở đó ít ngày thôi.}","end":"Ðó là lời Chúa"}}},
+        "5030": {"A":{"firstReading":{"excerpt":"Is 9, 1- 4 (Hr 8, 23b – 9, 3)","info":"“Tại Galilêa các dân tộc và dân chúng thấy một ánh sáng vĩ đại”.","title":"Trích sách Tiên tri Isaia.","content":"Lúc đầu, đất Giabulon và Nephthali rất hèn hạ, trong tương lai dần dần trở thành đường biển, bên kia sông Giođan trở thành Galilêa các dân tộc. Dân chúng đi trong tối tăm đã thấy một ánh sáng vĩ đại, và một ánh sáng đã chiếu soi trên dân ở vùng bóng sự chết. Người đã gia tăng dân số, đã ban một nguồn vui lớn; thiên hạ hân hoan trước mặt Người, như hân hoan khi được mùa, nhảy mừng như khi phân chia chiến lợi phẩm. Vì ách đã đè trên họ, đòn ngang nằm trên vai họ, và gậy của kẻ lạm thu họ, Người đã bẻ gẫy tất cả như trong ngày Mađian.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","response":"Ðáp: Chúa là sự sáng và là Ðấng cứu độ tôi (c. 1a).","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ; tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi, hầu vui hưởng sự êm đềm của Chúa, và chiêm ngưỡng thánh điện của Người.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa."]},"secondReading":{"excerpt":"1 Cr 1, 10-13. 17","info":"“Tất cả anh em hãy đồng tâm hợp ý với nhau, và giữa anh em, đừng có chia rẽ”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, nhân danh Ðức Giêsu Kitô, Chúa chúng ta, tôi xin anh em tất cả hãy đồng tâm hiệp ý với nhau, giữa anh em đừng có chia rẽ; hãy đoàn kết chặt chẽ trong cùng một thần khí và cùng một tâm tình. Anh em thân mến, tôi đã được các người nhà Khloê cho hay rằng: giữa anh em đang có những sự bất đồng. Tôi có ý nói điều này, là mỗi người trong anh em nói: “Tôi, tôi thuộc về Phaolô; – “Tôi về phe Apollô”; – “Còn tôi, tôi về phe Kêpha”; – “Và tôi thuộc về phe Chúa Kitô”. Chúa Kitô bị phân chia rồi sao? Có phải Phaolô đã chịu đóng đinh vì anh em đâu? Hay là nhân danh Phaolô mà anh em chịu phép rửa? Ðức Kitô không sai tôi đi rửa tội, mà là đi rao giảng Tin Mừng, không phải bằng lời nói khôn khéo, kẻo thập giá của Ðức Kitô ra hư không.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 23","content":"Alleluia, Alleluia – Chúa Giêsu rao giảng Tin Mừng nước Trời, và chữa lành mọi bệnh hoạn tật nguyền trong dân. – Alleluia."},"gospel":{"excerpt":"Mt 4, 12-23 (bài dài)","info":"“Người vào Capharnaum để ứng nghiệm lời tiên tri Isaia đã tiên báo”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, nghe tin Gioan bị nộp, Chúa Giêsu lui về Galilêa. Người rời bỏ thành Nadarét, đến ở miền duyên hải, thành Capharnaum, giáp ranh đất Giabulon và Nepthali, để ứng nghiệm lời đã phán bởi miệng tiên tri Isaia rằng: “Hỡi đất Giabulon và đất Nepthali, đường dọc theo biển, bên kia sông Giođan, Galilêa của ngoại bang! Dân ngồi trong tối tăm đã thấy ánh sáng huy hoàng; ánh sáng đã xuất hiện cho người ngồi trong bóng sự chết”.\rTừ bấy giờ, Chúa Giêsu bắt đầu rao giảng và nói: “Hãy hối cải, vì nước trời đã gần đến!”\rNhân lúc Chúa Giêsu đi dọc theo bờ biển Galilêa, Người thấy hai anh em là Simon, cũng gọi là Phêrô, và Anrê, em ông, cả hai đang thả lưới dưới biển, vì hai ông là ngư phủ. Người bảo hai ông rằng: “Các ngươi hãy theo Ta, Ta sẽ làm cho các ngươi trở thành những ngư phủ lưới người ta”. Lập tức hai ông bỏ lưới đó mà theo Người. Ði xa hơn một đỗi, Người lại thấy hai anh em khác là Giacôbê con ông Giêbêđê, và Gioan em ông đang vá lưới trong thuyền với cha là Giêbêđê. Người cũng gọi hai ông. Lập tức hai ông bỏ lưới và cha mình mà đi theo Người.\rVà Chúa Giêsu đi rảo quanh khắp xứ Galilêa, dạy dỗ trong các hội đường của họ, rao giảng tin mừng nước trời, chữa lành mọi bệnh hoạn tật nguyền trong dân.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Gn 3, 1-5. 10","info":"“Dân thành tin tưởng nơi Chúa: họ công bố việc ăn chay”.","title":"Trích sách Tiên tri Giô-na.","content":"Lời Chúa phán cùng Giô-na rằng: “Hãy chỗi dậy và đi đến Ni-ni-vê, một thành phố lớn, và rao giảng cho nó điều Ta sẽ nói cho ngươi”. Giô-na chỗi dậy và đi đến Ni-ni-vê theo lời Chúa dạy. Ni-ni-vê là một thành phố lớn, rộng bằng ba ngày đàng, Giô-na tiến vào thành phố đi một ngày đàng, rồi rao giảng rằng: “Còn bốn mươi ngày nữa, Ni-ni-vê sẽ bị phá huỷ”. Dân thành tin tưởng nơi Chúa: họ công bố việc ăn chay và mặc áo nhặm, từ người lớn đến trẻ nhỏ. Chúa thấy việc họ làm, vì họ bỏ đời sống xấu xa, Chúa bỏ ý định phạt họ, và Người không thực hiện điều đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 6-7bc. 8-9.","response":"Ðáp: Lạy Chúa, xin dạy bảo con về lối bước của Ngài.","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa, xin dạy bảo con về lối bước của Ngài. Xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài.","Xướng: Lạy Chúa, xin hãy nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa."]},"secondReading":{"excerpt":"1 Cr 7, 29-31","info":"“Bộ mặt thế gian này đang qua đi”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, tôi nói cùng anh em điều này là: Thời giờ vắn vỏi; còn có cách là những ai có vợ, hãy ở như không có; những ai than khóc, hãy ăn ở như không than khóc; những kẻ hân hoan, hãy ăn ở như không hân hoan; những người mua sắm, hãy ăn ở như không có gì; những ai dùng sự đời này, hãy ăn ở như không tận hưởng, vì chưng bộ mặt thế gian này đang qua đi.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mc 1, 15","content":"Alleluia, Alleluia – Nước Chúa đã gần đến, hãy tin tưởng vào Phúc Âm. – Alleluia."},"gospel":{"excerpt":"Mc 1, 14-20","info":"“Anh em hãy ăn năn sám hối và tin vào Phúc Âm”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Sau khi Gio-an bị bắt, Chúa Giê-su sang xứ Ga-li-lê-a, rao giảng Tin Mừng nước Thiên Chúa, Người nói: “Thời giờ đã mãn và nước Thiên Chúa đã gần đến; anh em hãy ăn năn sám hối và tin vào Phúc Âm”. Ðang lúc đi dọc theo bờ biển Ga-li-lê-a, Người thấy Si-mon và em là An-rê đang thả lưới xuống biển, vì các ông là những người đánh cá. Chúa Giê-su bảo các ông: “Hãy theo Ta, Ta sẽ làm cho các ngươi trở thành những kẻ chài lưới người”. Lập tức các ông bỏ lưới theo Người. Ði xa hơn một chút nữa, Người thấy Gia-cô-bê con ông Giê-bê-đê và em là Gio-an đang xếp lưới trong thuyền, Người liền gọi các ông. Hai ông bỏ cha là Giê-bê-đê ở lại trên thuyền cùng với các người làm công, và đi theo Người.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Nkm 8, 2-4a. 5-6. 8-10","info":"“Họ đọc trong sách Luật và người ta hiểu được điều đã đọc”.","title":"Trích sách Nơ-khe-mia.","content":"Ngày ấy, thầy tư tế Esdras mang luật ra trước cộng đồng, gồm đàn ông, đàn bà và tất cả những ai có thể hiểu luật: hôm đó là ngày đầu tháng bảy. Từ sáng đến giữa trưa, thầy đứng ở công trường, trước cửa Nước, đọc sách trước mặt đàn ông, đàn bà và những người hiểu luật. Tất cả dân chúng đều lắng tai nghe đọc sách luật. Thầy thư ký Esdras đứng trên bệ bằng cây mà đọc sách; thầy mở sách ra trước công chúng, vì thầy đứng nơi cao hơn mọi người. Khi thầy mở sách, thì tất cả đều đứng lên. Esdras chúc tụng Chúa là Thiên Chúa Cao Cả. Toàn dân đưa tay lên đáp lại: Amen, amen. Họ cúi mình và phủ phục trước Thiên Chúa, mặt họ cúi sát đất. Một số người đọc từng đoạn trong sách luật Chúa, giải thích ý nghĩa, và người ta hiểu được điều đã đọc. Nơ-khê-mia là tổng trấn, Esdras là tư tế và là thư ký, các thầy Lêvi huấn luyện dân chúng, nói với họ rằng: “Ngày hôm nay được thánh hoá dâng cho Chúa là Thiên Chúa chúng ta; anh chị em đừng mang tang chế, đừng than khóc”. Vì lúc đó toàn dân khóc lóc khi nghe đọc các lời trong luật. Họ nói với dân chúng rằng: “Hãy đi ăn thịt béo và uống rượu ngon, hãy gửi phần cho kẻ không có dọn sẵn cho mình, vì ngày này là ngày thánh, dâng cho Chúa, đừng buồn sầu; vì niềm vui của Chúa là đồn luỹ của anh chị em!”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 15","response":"Ðáp: Lạy Chúa, lời Chúa là thần trí và là sự sống (Ga 6, 64b).","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chánh trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thật, công minh hết thảy.","Xướng: Xin Chúa nhậm những lời miệng con công bố, và sự lòng con suy gẫm trước thiên nhan, lạy Chúa là Tảng Ðá, là Ðấng Cứu Chuộc con."]},"secondReading":{"excerpt":"1 Cr 12, 12-30 (bài dài)","info":"“Anh em là thân xác Chúa Kitô, và là chi thể của Người”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, như thân xác là một mà có nhiều chi thể, và tất cả chi thể tuy nhiều, nhưng chỉ là một thân xác, thì Chúa Kitô cũng vậy. Vì chưng, trong một Thánh Thần, tất cả chúng ta chịu phép rửa để làm thành một thân xác, cho dầu Do-thái hay Hy-lạp, tự do hay nô lệ, và tất cả chúng ta cùng uống trong một Thánh Thần. Vì thân xác không chỉ gồm một chi thể, mà là nhiều chi thể. Nếu chân nói rằng: “Vì tôi không phải là tay, nên tôi không thuộc thân xác”, có phải vì thế mà nó không thuộc về thân xác đâu? Và nếu lỗ tai nói rằng: “Vì tôi không phải là con mắt, nên tôi không thuộc về thân xác”, có phải vì thế mà nó không thuộc về thân xác đâu? Nếu toàn thân xác là một, thì đâu là thính giác? Nếu toàn thân xác là tai, thì đâu là khứu giác? Vậy, Thiên Chúa đã đặt các chi thể, và mỗi chi thể ở trong thân xác như ý Người muốn. Nếu tất cả đều là một chi thể, thì còn đâu là thân xác? Thật vậy, có nhiều chi thể, nhưng có một thân xác. Con mắt không thể nói với bàn tay: “Ta không cần mi”. Ðầu cũng không thể nói với chân: “Ta không cần các ngươi”. Nhưng hơn thế nữa, các chi thể thân xác xem như yếu hơn, lại cần thiết hơn. Và những chi thể ta coi là ít vinh dự nhất, lại là những chi thể chúng ta đặt cho nhiều vinh dự hơn; và những chi thể thiếu trang nhã lại được ta trang sức hơn, còn những chi thể trang nhã lại không cần như thế: nhưng Thiên Chúa đã sắp đặt thân xác, cho cái thiếu vinh dự được vinh dự hơn, để không có sự bất đồng trong thân xác, mà là để các chi thể đồng lo công ích cho nhau. Nếu một chi thể phải đau, tất cả các chi thể khác đều phải đau lây; hoặc một chi thể được vinh dự, thì tất cả các chi thể cùng chia vui.\rPhần anh em, anh em là thân xác Chúa Kitô và là chi thể của Người, mỗi người có phận sự mình. Có những người Thiên Chúa đã thiết lập trong Hội thánh, trước hết là các tông đồ, rồi đến các tiên tri, thứ ba là các tiến sĩ. Kế đến là quyền làm phép lạ, các ơn chữa bệnh, các việc từ thiện, quản trị, nói nhiều thứ tiếng. Vậy tất cả mọi người là tông đồ ư? Tất cả là tiên tri ư? Tất cả là tiến sĩ ư? Tất cả được ơn làm phép lạ ư? Tất cả được ơn chữa bệnh ư? Tất cả nói nhiều thứ tiếng ư? Tất cả được ơn diễn giải ư?","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 4, 18-19","content":"Alleluia, Alleluia – Chúa đã sai con đi rao giảng Tin Mừng cho người nghèo khó, loan truyền sự giải thoát cho kẻ bị giam cầm. – Alleluia."},"gospel":{"excerpt":"Lc 1, 1-4; 4, 14-21","info":"“Hôm nay ứng nghiệm đoạn Kinh Thánh này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vì có nhiều người khởi công chép lại những biến cố đã xảy ra giữa chúng ta, theo như các kẻ từ đầu đã chứng kiến và phục vụ lời Chúa, đã truyền lại cho chúng ta, phần tôi, thưa ngài Thêophilê, sau khi tìm hỏi cẩn thận mọi sự từ đầu, tôi quyết định viết cho ngài bài tường thuật sau đây, để ngài hiểu chân lý các giáo huấn ngài đã lãnh nhận.\rBấy giờ Chúa Giêsu trở về Galilêa trong quyền lực Thánh Thần, và danh tiếng Người lan tràn khắp cả miền chung quanh. Người giảng dạy trong các hội đường và được mọi người ca tụng. Người đến Nadarét, nơi Người sinh trưởng, và theo thói quen của Người, thì ngày nghỉ lễ, Người vào hội đường. Người đứng dậy để đọc sách. Người ta trao cho Người sách tiên tri Isaia. Mở sách ra, Người gặp ngay đoạn chép rằng:\r“Thánh Thần Chúa ngự trên tôi, vì Ngài xức dầu cho tôi, sai tôi đi rao giảng Tin Mừng cho người nghèo khó, thuyên chữa những tâm hồn sám hối, loan truyền sự giải thoát cho kẻ bị giam cầm, cho người mù được trông thấy, trả tự do cho những kẻ bị áp bức, công bố năm hồng ân và ngày khen thưởng”.\rNgười gấp sách lại, trao cho thừa tác viên, và ngồi xuống. Mọi người trong hội đường đều chăm chú nhìn Người. Người bắt đầu nói với họ: “Hôm nay ứng nghiệm đoạn Kinh Thánh mà tai các ngươi vừa nghe”.","end":"Ðó là lời Chúa"}}},
+        "5040": {"A":{"firstReading":{"excerpt":"Xp 2, 3; 3, 12-13","info":"“Ta sẽ để sống sót lại giữa ngươi, một dân tộc khiêm tốn và nghèo hèn”.","title":"Trích sách Tiên tri Xôphônia.","content":"Hãy tìm Chúa, hỡi tất cả các người hiền lành trong nước, là những kẻ tuân giữ luật Chúa; hãy tìm công lý, hãy tìm sự khiêm nhường, nếu các ngươi muốn được che chở trong ngày thịnh nộ của Chúa. Ta sẽ để sống sót lại giữa ngươi một dân tộc khiêm tốn và nghèo hèn, biết tin tưởng vào thánh danh Chúa. Kẻ sống sót của Israel sẽ không làm điều bất công, sẽ không nói dối, miệng chúng sẽ không nói lời phỉnh gạt, vì chúng sẽ được chăn dắt và nằm ngủ không bị quấy rầy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10.","response":"Ðáp: Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ (Mt 5,3).","verses":["Xướng: Thiên Chúa trả lại quyền lợi cho người bị áp bức, và ban cho những kẻ đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội. Ðáp.","Xướng: Thiên Chúa mở mắt những kẻ đui mù, Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quý các bậc hiền nhân; Thiên Chúa che chở những khách kiều cư.","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời. Sion hỡi, Ðức Thiên Chúa của ngươi sẽ làm vua từ đời này sang đời khác."]},"secondReading":{"excerpt":"1 Cr 1, 26-31","info":"“Thiên Chúa đã chọn những điều hèn hạ đối với thế gian”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em hãy xem ơn kêu gọi của anh em: Vì (trong anh em) không có mấy người khôn ngoan theo xác thịt, không có mấy người quyền thế, không có mấy người sang trọng. Nhưng điều mà thế gian cho là điên dại, thì Thiên Chúa đã chọn để làm cho những người khôn ngoan phải xấu hổ; điều mà thế gian cho là yếu hèn, thì Thiên Chúa đã chọn để làm cho những gì là mạnh mẽ phải hổ ngươi. Thiên Chúa đã chọn những điều hèn hạ đối với thế gian, những điều bị khinh chê, những điều không không, để phá huỷ những điều hiện hữu, hầu mọi xác thịt không thể vinh vang trước mặt Người. Chính do Người mà anh em ở trong Chúa Giêsu Kitô, Ðấng do Thiên Chúa, đã trở nên sự khôn ngoan, sự công chính, sự thánh hoá và sự cứu rỗi cho chúng ta, ngõ hầu, như đã chép: “Ai tự phụ, thì hãy tự phụ trong Chúa”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðấng nhân danh Chúa mà đến, bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Mt 5, 1-12a","info":"“Phúc cho những ai có tinh thần nghèo khó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đoàn lũ đông đảo, Người đi lên núi, và lúc Người ngồi xuống, các môn đệ đến gần Người. Bấy giờ Người mở miệng dạy họ rằng:\r“Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ. Phúc cho những ai hiền lành, vì họ sẽ được Ðất Nước làm cơ nghiệp. Phúc cho những ai đau buồn, vì họ sẽ được ủi an. Phúc cho những ai đói khát điều công chính, vì họ sẽ được no thoả. Phúc cho những ai hay thương xót người, vì họ sẽ được xót thương. Phúc cho những ai có lòng trong sạch, vì họ sẽ được nhìn xem Thiên Chúa. Phúc cho những ai ăn ở thuận hoà, vì họ sẽ được gọi là con Thiên Chúa. Phúc cho những ai bị bách hại vì lẽ công chính, vì Nước Trời là của họ. Phúc cho các con khi người ta ghen ghét, bách hại các con, và bởi ghét Thầy, họ vu khống cho các con mọi điều gian ác. Các con hãy vui mừng hân hoan, vì phần thưởng của các con sẽ trọng đại ở trên trời”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðnl 18, 15-20","info":"“Ta sẽ gầy dựng một tiên tri và Ta sẽ đặt lời Ta vào miệng người”.","title":"Trích sách Ðệ Nhị Luật.","content":"Mô-sê nói với dân chúng rằng: “Chúa là Thiên Chúa các ngươi, sẽ gầy dựng giữa các ngươi và giữa những anh em các ngươi, một tiên tri như ta: các ngươi sẽ nghe lời người, như các nguơi đã xin cùng Chúa là Thiên Chúa các ngươi ở Khô-rếp khi có cuộc đại hội, và các ngươi nói rằng: Tôi không muốn nghe tiếng Chúa là Thiên Chúa tôi nữa, tôi không muốn thấy ngọn lửa vĩ đại này nữa, kẻo tôi phải chết. Và Chúa phán cùng tôi: sự họ đã nói, là tốt. Ta sẽ gầy dựng giữa anh em của họ một tiên tri như ngươi; Ta sẽ đặt vào miệng người những lời của Ta, người sẽ nói cho họ biết tất cả những điều Ta sẽ truyền cho người. Và nếu kẻ nào không nghe lời của Ta mà người sẽ nói nhân danh Ta, chính Ta sẽ xét xử nó. Nhưng tiên tri nào tự phụ, nhân danh Ta mà nói lời Ta không truyền phải nói, hoặc nhân danh các thần khác mà nói, thì sẽ chết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9.","response":"Ðáp: Ước chi hôm nay các bạn nghe tiếng Người: các bạn đừng cứng lòng","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của ta! Hãy ra trước thiên nhan với lời ca ngợi, chúng ta hãy xướng ca để hoan hô Người.","Xướng: Hãy tiến lên, cúc cung bái và sụp lạy, hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: “Ðừng cứng lòng như ở Mê-ri-ba, như hôm ở Ma-xa trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta, họ đã thử Ta mặc dầu đã thấy công cuộc của Ta”."]},"secondReading":{"excerpt":"1 Cr 7, 32-35","info":"“Người nữ đồng trinh lo lắng việc Chúa, để nên thánh”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, tôi ước mong anh em khỏi phải lo lắng. Người không có vợ thì lo lắng việc Chúa, và tìm cách làm đẹp lòng Chúa. Nhưng người đã có vợ thì lo lắng việc đời này, và tìm cách làm đẹp lòng vợ mình, và họ bị chia xẻ. Cũng thế, người phụ nữ không có chồng và đồng trinh thì lo lắng việc Chúa, để nên thánh phần xác và phần hồn. Còn người phụ nữ đã có chồng thì lo lắng việc đời này, và tìm cách làm đẹp lòng chồng mình. Tôi nói thế vì ích lợi cho anh em, chứ không phải để gài bẫy anh em đâu, nhưng là để hướng dẫn anh em đến đời sống đoan chính và hoàn toàn khắng khít với Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 14 và 12","content":"Alleluia, Alleluia – Ngôi Lời đã làm người và ở giữa chúng ta; những ai đón nhận Người, Người sẽ ban cho quyền làm con cái Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 1, 21-28","info":"“Ngài giảng dạy người ta như Ðấng có uy quyền”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"(Ðến thành Ca-phác-na-um) ngày nghỉ lễ, Chúa Giê-su vào giảng dạy trong hội đường. Người ta kinh ngạc về giáo lý của Người, vì Người giảng dạy người ta như Ðấng có uy quyền, chứ không như các luật sĩ.\rÐang lúc đó, trong hội đường có một người bị thần ô uế ám, nên thét lên rằng: “Hỡi ông Giê-su Na-da-rét, có chuyện gì giữa chúng tôi và ông? Ông đến để tiêu diệt chúng tôi sao? Tôi biết ông là ai, là Ðấng Thánh của Thiên Chúa”. Chúa Giê-su quát bảo nó rằng: “Hãy im đi và ra khỏi người này!” Thần ô uế liền dằn vặt người ấy, thét một tiếng lớn, rồi xuất khỏi người ấy. Mọi người kinh ngạc hỏi nhau rằng: “Cái gì vậy? Ðấy là một giáo lý mới ư? Người dùng uy quyền mà truyền lệnh cho cả thần ô uế và chúng vâng lệnh Người”. Danh tiếng Người liền đồn ra khắp mọi nơi, và lan tràn khắp vùng lân cận xứ Ga-li-lê-a.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Gr 1, 4-5, 17-19","info":"“Ta sẽ đặt ngươi làm tiên tri trong các dân tộc”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Trong thời vua Giosia, lời Chúa phán cùng tôi rằng: “Trước khi Ta tạo thành ngươi trong lòng mẹ, Ta đã biết ngươi, và trước khi ngươi ra khỏi lòng mẹ, Ta đã hiến thánh ngươi. Ta đã đặt ngươi làm tiên tri trong các dân tộc.\rVậy phần ngươi, ngươi hãy thắt lưng, hãy chỗi dậy, và nói cho họ biết tất cả những điều Ta truyền dạy cho ngươi. Ðừng run sợ trước mặt họ, vì Ta không làm cho ngươi kinh hãi trước mặt họ. Hôm nay Ta làm cho ngươi nên một thành trì vững chắc, một cậy cột bằng sắt, một vách thành bằng đồng trước mặt các vua Giuđa, các hoàng tử, các tư tế và dân chúng xứ này. Họ sẽ chiến đấu chống ngươi, nhưng họ không thắng được ngươi, vì Ta ở với ngươi để giải thoát ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","response":"Ðáp: Miệng con sẽ loan truyền sự Chúa công minh (c. 15a).","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con tủi hổ muôn đời; theo đức công minh Chúa, xin cứu nguy và giải thoát con, xin ghé tai về bên con và giải cứu.","Xướng: Xin trở nên thạch động để con dung thân, và chiến luỹ vững bền hầu cứu độ con: vì Chúa là Ðá Tảng, là chiến luỹ của con. Lạy Chúa con, xin cứu con thoát khỏi tay đứa ác.","Xướng: Bởi Ngài là Ðấng con mong đợi, thân lạy Chúa. Lạy Chúa, Ngài là hy vọng của con tự hồi thanh xuân. Ngay từ trong bụng mẹ, con đã nép mình vào Chúa; từ trong thai mẫu, Chúa là Ðấng bảo vệ con, con đã luôn luôn cậy trông vào Chúa.","Xướng: Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày kể ra ơn Ngài giúp đỡ. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể (ra) những sự lạ của Ngài."]},"secondReading":{"excerpt":"1 Cr 12, 31 – 13, 13 (bài dài)","info":"“Ðức tin, đức cậy, đức mến vẫn tồn tại, nhưng đức mến là trọng hơn cả”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em hãy cầu mong những ơn cao trọng hơn. Và tôi chỉ bảo cho anh em một con đường hoàn hảo nhất. Nếu tôi nói được các tiếng của loài người và thiên thần, mà tôi không có bác ái, thì tôi chỉ là tiếng đồng la vang dội hoặc não bạt vang động. Và nếu tôi được nói tiên tri, thông biết mọi mầu nhiệm và mọi khôn ngoan; nếu tôi có đầy lòng tin, đến nỗi chuyển dời được núi non, mà không có bác ái, thì tôi vẫn là không. Nếu tôi phân phát mọi của cải tôi có để nuôi kẻ nghèo khó, nếu tôi nộp mình để chịu thiêu đốt, mà tôi không có bác ái, thì không làm ích gì cho tôi.\rBác ái thì kiên tâm, nhân hậu. Bác ái không đố kỵ, không khoác lác, không kiêu hãnh, không ích kỷ, không nổi giận, không suy tưởng điều xấu, không vui mừng trước bất công, nhưng chia vui cùng chân lý, tha thứ tất cả, tin tưởng tất cả, trông cậy tất cả, chịu đựng tất cả.\rBác ái không khi nào qua đi. Ơn tiên tri sẽ bị huỷ diệt, ơn ngôn ngữ sẽ chấm dứt, ơn thông minh sẽ biến mất. Vì chưng chúng ta hiểu biết có giới hạn, chúng ta nói tiên tri có giới hạn, nhưng khi điều vẹn toàn đến, thì điều có giới hạn sẽ biến đi. Khi còn bé nhỏ, tôi nói như trẻ nhỏ, suy tưởng như trẻ nhỏ, lý luận như trẻ nhỏ; nhưng khi tôi đã trưởng thành, tôi loại bỏ những gì là trẻ nhỏ. Hiện giờ, chúng ta thấy mờ mịt như qua tấm gương, nhưng lúc bấy giờ, diện đối diện. Hiện giờ tôi biết có giới hạn, nhưng lúc bấy giờ, tôi sẽ biết như tôi được biết. Hiện giờ, đức tin, đức cậy, đức mến, tất cả ba đều tồn tại, nhưng trong ba nhân đức, đức mến là trọng hơn cả.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời Chúa là thần trí và là sự sống; Chúa có lời ban sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 4, 21-30","info":"“Chúa Giêsu, như Êlia và Êlisê, không phải chỉ được sai đến với người Do-thái”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu bắt đầu nói trong hội đường rằng: “Hôm nay ứng nghiệm đoạn Kinh Thánh mà tai các ngươi vừa nghe”. Mọi người đều làm chứng cho Người và thán phục Người về những lời từ miệng Người thốt ra, và họ nói: “Người này không phải là con ông Giuse sao?”\rVà Người nói với họ: “Hẳn các ngươi sắp nói cho Ta nghe câu ngạn ngữ này: ‘Hỡi thầy thuốc, hãy chữa lấy chính mình!’ Ðiều chúng tôi nghe xảy ra ở Capharnaum, ông hãy làm như vậy tại quê hương ông'”. Người nói tiếp: “Quả thật, Ta bảo các ngươi, không một tiên tri nào được đón tiếp tại quê hương mình. Ta bảo thật với các ngươi, đã có nhiều bà goá trong Israel thời Elia, khi trời bị đóng lại trong ba năm sáu tháng, khi nạn đói lớn xảy ra khắp trong xứ; dầu vậy, Elia không được sai đến cùng một người nào trong các bà đó, nhưng được sai đến bà goá tại Sarepta thuộc xứ Siđon. Cũng có nhiều người phong cùi trong Israel thời tiên tri Elisêô, thế mà không người nào trong họ được lành sạch cả, ngoại trừ Naaman, người Syria”.\rKhi nghe đến đó, mọi người trong hội đường đều đầy căm phẫn, họ chỗi dậy và trục xuất Người ra khỏi thành. Họ dẫn Người lên triền núi, nơi xây cất thành trì của họ, để xô Người xuống vực thẳm. Nhưng Người rẽ qua giữa họ mà đi.","end":"Ðó là lời Chúa"}}},
+        "5050": {"A":{"firstReading":{"excerpt":"Is 58, 7-10","info":"“Sự sáng của ngươi tỏ rạng như hừng đông”.","title":"Trích sách Tiên tri Isaia.","content":"Này đây Chúa phán: “Hãy chia bánh của ngươi cho kẻ đói, hãy tiếp nhận vào nhà ngươi những kẻ bất hạnh không nhà ở; nếu ngươi gặp một người trần truồng, hãy cho họ mặc đồ vào, và đừng khinh bỉ xác thịt của ngươi. Như thế, sự sáng của ngươi tỏ rạng như hừng đông, các vết thương của ngươi sẽ lành nhanh chóng; công lý của ngươi sẽ đi trước mặt ngươi, vinh quang của Chúa sẽ hậu thuẫn cho ngươi. Như thế, ngươi gọi, Chúa sẽ trả lời; ngươi la lên, Chúa sẽ phán: “Này Ta đây”. Nếu ngươi loại bỏ khỏi ngươi xiềng xích, cử chỉ hăm doạ, lời nói xấu xa, khi ngươi hy sinh cho người đói rách, và làm cho những người đau khổ được vui thích, thì ánh sáng của ngươi sẽ bừng lên trong bóng tối, và bóng tối sẽ trở thành như giữa ban ngày”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 4-5. 6-7. 8a và 9","response":"Ðáp: Trong u tối người xuất hiện như sự sáng soi kẻ lòng ngay (c. 4a). \r Hoặc đọc: Alleluia","verses":["Xướng: Trong u tối, người xuất hiện như sự sáng soi kẻ lòng ngay, người nhân hậu, từ bi và công chính. Phước đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình.","Xướng: Cho tới đời đời người sẽ không nao núng: người hiền đức sẽ được ghi nhớ muôn đời. Người không kinh hãi vì nghe tin buồn thảm, lòng người vững vàng cậy trông vào Chúa.","Xướng: Lòng người kiên nghị, người không kinh hãi, người ban phát và bố thí cho những kẻ nghèo, lòng quảng đại của người muôn đời còn mãi, sừng người được ngẩng lên trong vinh quang."]},"secondReading":{"excerpt":"1 Cr 2, 1-5","info":"“Tôi đã công bố cho anh em bằng chứng của Chúa Kitô chịu đóng đinh”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, phần tôi, khi tôi đến với anh em, tôi không đến với uy thế của tài hùng biện hoặc của sự khôn ngoan; tôi đến công bố bằng chứng của Thiên Chúa. Thật vậy, tôi không cho là tôi biết điều gì khác giữa anh em, ngoài Chúa Giêsu Kitô chịu đóng đinh. Phần tôi, chính trong sự yếu hèn, sợ hãi và run rẩy mà tôi đã đến với anh em; lời tôi nói và việc tôi rao giảng không dựa vào những lời quyến rũ của sự khôn ngoan loài người, nhưng dựa vào sự giãi bày của thần trí và quyền năng, để đức tin của anh em không dựa vào sự khôn ngoan loài người, nhưng dựa vào quyền năng của Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 8, 12","content":"Alleluia, Alleluia – Chúa phán: “Ta là ánh sáng thế gian; ai theo Ta sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mt 5, 13-16","info":"“Các con là sự Sáng thế gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con là muối đất. Nếu muối đã lạt, người ta biết lấy gì mà ướp cho mặn lại? Muối đó không còn sử dụng vào việc chi nữa, chỉ còn ném ra ngoài cho người ta chà đạp lên nó.\r“Các con là sự sáng thế gian. Một thành phố xây dựng trên núi, không thể che giấu được. Và người ta cũng không thắp đèn rồi để dưới đáy thùng, nhưng đặt nó trên giá đèn, hầu soi sáng cho mọi người trong nhà. Sự sáng của các con cũng phải chiếu giãi ra trước mặt thiên hạ, để họ xem thấy những việc lành của các con mà ngợi khen Cha các con trên trời”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"G 7, 1-4. 6-7","info":"“Tôi phải buồn sầu mãi cho đến tối”.","title":"Trích sách Gióp.","content":"Bấy giờ Gióp nói rằng: “Khổ dịch là đời sống của con người trên trái đất, ngày của họ giống như ngày của người làm công. Cũng như người nô lệ khát khao bóng mát, như người làm công ước mong lãnh tiền công thế nào, thì tôi cũng có những tháng nhàn rỗi, có những đêm người ta bắt tôi làm việc cực nhọc. Nếu tôi đi ngủ, thì tôi lại nói: “Chừng nào tôi mới thức dậy, và chừng nào là đến chiều? Tôi phải buồn sầu mãi cho đến tối”. Ngày của tôi qua nhanh hơn chiếc thoi đưa, nó tàn lụn đi mà không mang lại tia hy vọng nào. Hãy nhớ rằng đời sống tôi chỉ là một hơi thở! Mắt tôi sẽ không nhìn thấy hạnh phúc”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 146, 1-2. 3-4. 5-6","response":"Ðáp: Hãy chúc tụng Chúa, Ðấng cứu chữa những kẻ giập nát tâm can. \rHoặc đọc: Alleluia.","verses":["Xướng: Hãy ngợi khen Chúa, vì Người hảo tâm; hãy ca mừng Thiên Chúa chúng ta, vì Người êm ái, thực Người rất đáng ngợi khen. Chúa xây dựng lại Giêrusalem, tập họp con cái Israel phân tán.","Xướng: Chính Người chữa những kẻ giập nát tâm can, và băng bó vết thương của lòng họ. Người ấn định con số các ngôi sao, và gọi đích danh từng ngôi một.","Xướng: Chúa chúng ta cao cả và mãnh liệt quyền năng, sự khôn ngoan của Người thực là vô lượng. Chúa nâng cao những kẻ khiêm cung, Người đè bẹp đứa ác nhân xuống tận đất."]},"secondReading":{"excerpt":"1 Cr 9, 16-19. 22-23","info":"“Vô phúc cho tôi nếu tôi không rao giảng Phúc Âm”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, nếu tôi rao giảng Tin Mừng, thì không phải để làm cho tôi vinh quang, mà vì đó là một nhu cầu đối với tôi. Vô phúc cho tôi, nếu tôi không rao giảng Tin Mừng. Giả như nếu tôi tự ý đảm nhận việc ấy, thì tôi có công; nhưng nếu tôi bị ép buộc, thì tôi phải làm trọn nghĩa vụ đã giao phó cho tôi. Vậy thì phần thưởng của tôi ở đâu? Khi rao giảng Tin Mừng, tôi đem Tin Mừng biếu không, tôi không dùng quyền mà Tin Mừng dành cho tôi. Mặc dầu tôi được tự do đối với tất cả mọi người, tôi đã đành làm nô lệ cho mọi người, hầu thu hút được nhiều người hơn. Tôi đã ăn ở như người yếu đau đối với những kẻ yếu đau, để thu hút người yếu đau. Tôi đã nên mọi sự đối với tất cả mọi người, để làm cho mọi người được cứu rỗi. Tất cả những việc đó, tôi làm vì Tin Mừng để được thông phần vào lợi ích của Tin Mừng.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 27","content":"Alleluia, Alleluia – Chúa phán: “Chiên của Ta nghe biết tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mc 1, 29-39","info":"“Người chữa nhiều người đau ốm những chứng bệnh khác nhau”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu ra khỏi hội đường, Người cùng với Giacôbê và Gioan đến nhà Simon và Anrê. Lúc ấy bà nhạc gia của Simon cảm sốt nằm trên giường, lập tức người ta nói cho Người biết bệnh tình của bà. Tiến lại gần, Người cầm tay bà, và nâng đỡ dậy. Bà liền khỏi cảm sốt và đi tiếp đãi các ngài.\rChiều đến, lúc mặt trời đã lặn, người ta dẫn đến Người tất cả những bệnh nhân, tất cả những người bị quỷ ám: và cả thành tụ họp trước cửa nhà. Người chữa nhiều người đau ốm những chứng bệnh khác nhau, xua trừ nhiều quỷ, và không cho chúng nói, vì chúng biết Người.\rSáng sớm tinh sương, Người chỗi dậy, ra khỏi nhà, đi đến một nơi thanh vắng và cầu nguyện tại đó. Simon và các bạn chạy đi tìm Người. Khi tìm thấy Người, các ông nói cùng Người rằng: “Mọi người đều đi tìm Thầy”. Nhưng Người đáp: “Chúng ta hãy đi đến những làng, những thành lân cận, để Ta cũng rao giảng ở đó nữa”. Và Người đi rao giảng trong các hội đường, trong khắp xứ Galilêa và xua trừ ma quỷ.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Is 6, 1-2a, 3-8","info":"“Này tôi đây, xin hãy sai tôi”.","title":"Trích sách Tiên tri Isaia.","content":"Năm vua Ozias băng hà, tôi nhìn thấy Chúa ngự trên ngai cao, và đuôi áo của Người bao phủ đền thờ. Các Thần Sốt Mến đứng trước mặt Người, và luân phiên tung hô rằng: “Thánh, Thánh, Thánh! Chúa là Thiên Chúa các đạo binh, toàn thể địa cầu đầy vinh quang Chúa”. Các nền nhà đều rung chuyển trước tiếng tung hô, và nhà cửa đều đầy khói.\rLúc bấy giờ tôi mới nói: “Vô phúc cho tôi! Tôi chết mất, vì lưỡi tôi nhơ bẩn, tôi ở giữa một dân tộc mà lưỡi họ đều nhơ nhớp, mắt tôi đã trông thấy Ðức Vua, Người là Chúa các đạo binh”. Nhưng lúc đó có một trong các Thần Sốt Mến bay đến tôi, tay cầm cục than cháy đỏ mà ngài đã dùng cặp lửa gắp ở bàn thờ. Ngài đặt than lửa vào miệng tôi và nói: “Hãy nhìn xem, than lửa này đã chạm đến lưỡi ngươi, lỗi của ngươi được xoá bỏ, và tội của ngươi được thứ tha”. Và tôi nghe tiếng Chúa phán bảo: “Ta sẽ sai ai đi? Và ai sẽ đi cho chúng ta?” Tôi liền thưa: “Này con đây, xin hãy sai con”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3.4-5. 7c-8","response":"Ðáp: Lạy Chúa, trước mặt các thiên thần, con đàn ca mừng Chúa (c. 1c).","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, vì Chúa đã nghe lời miệng con xin; trước mặt các thiên thần, con đàn ca mừng Chúa, con sấp mình thờ lạy bên thánh điện Ngài.","Xướng: Và con sẽ ca tụng uy danh Chúa, vì lòng nhân hậu và trung thành của Chúa. Khi con kêu cầu, Chúa nhậm lời con, Chúa đã ban cho tâm hồn con nhiều sức mạnh.","Xướng: Lạy Chúa, các vua địa cầu sẽ ca ngợi Chúa, khi họ nghe những lời miệng Chúa phán ra; và họ sẽ ca ngợi đường lối của Chúa: “Thực, vinh quang của Chúa lớn lao!”","Xướng: Tay hữu Chúa khiến con được sống an lành. Chúa sẽ hoàn tất cho con những điều đã khởi sự. Lạy Chúa, lòng nhân hậu Chúa tồn tại muôn đời, xin đừng bỏ rơi công cuộc tay Ngài."]},"secondReading":{"excerpt":"1 Cr 15, 1-11 (bài dài)","info":"“Chúa hiện ra với Giacôbê, rồi với tất cả các Tông đồ”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, tôi xin nhắc lại cho anh em Tin Mừng mà tôi đã rao giảng cho anh em, và anh em đã lãnh nhận và đang tin theo, nhờ đó anh em được cứu độ, nếu anh em tuân giữ lời lẽ tôi đã rao giảng cho anh em, bằng không anh em đã tin cách vô ích. Tôi đã rao truyền cho anh em trước tiên điều mà chính tôi đã nhận lãnh: đó là Ðức Kitô đã chết vì tội lỗi chúng ta, đúng theo như lời Thánh Kinh. Người được mai táng và ngày thứ ba Người đã sống lại đúng theo như lời Thánh Kinh. Người đã hiện ra với ông Kêpha, rồi với mười một vị. Sau đó, Người đã hiện ra với hơn năm trăm anh em trong một lúc; nhiều người trong số anh em đó hãy còn sống tới nay, nhưng có vài người đã chết. Thế rồi Người hiện ra với Giacôbê, rồi với tất cả các Tông đồ. Sau cùng, Người cũng hiện ra với chính tôi như với đứa con đẻ non. Tôi vốn là kẻ hèn mọn nhất trong các tông đồ, và không xứng đáng được gọi là tông đồ, vì tôi đã bắt bớ Hội Thánh của Thiên Chúa. Nhưng nay tôi là người thế nào, là nhờ ơn của Thiên Chúa, và ơn của Người không vô ích nơi tôi, nhưng tôi đã chịu khó nhọc nhiều hơn tất cả các Ðấng: song không phải tôi, nhưng là ơn của Thiên Chúa ở với tôi. Dù tôi, dù là các Ðấng, chúng tôi đều rao giảng như thế cả, và anh em cũng đã tin như vậy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con lắng nghe lời Con của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 5, 1-11","info":"“Các ông đã từ bỏ mọi sự mà đi theo Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, dân chúng chen nhau lại gần Ðức Giêsu để nghe lời Thiên Chúa, lúc đó Người đứng ở bờ hồ Giênêsarét. Người trông thấy hai chiếc thuyền đậu gần bờ; những người đánh cá đã ra khỏi thuyền và họ đang giặt lưới. Người xuống một chiếc thuyền, thuyền đó của ông Simon, và Người xin ông đưa ra khỏi bờ một chút. Rồi Người ngồi trên thuyền, giảng dạy dân chúng. Vừa giảng xong, Người bảo ông Simon rằng: “Hãy đẩy thuyền ra chỗ nước sâu, và thả lưới bắt cá”. Ông Simon thưa Người rằng: “Thưa Thầy, chúng con đã cực nhọc suốt đêm mà không được gì hết; nhưng vì lời Thầy, con sẽ thả lưới”. Các ông đã thả lưới và bắt được rất nhiều cá; lưới các ông hầu như bị rách. Bấy giờ các ông làm hiệu cho các bạn đồng nghiệp ở thuyền bên cạnh đến giúp đỡ các ông. Những người này tới, họ đổ cá đầy hai chiếc thuyền, đến nỗi những thuyền chở nặng gần chìm.\rThấy thế, ông Simon sụp lạy dưới chân Chúa Giêsu và thưa Người rằng: “Lạy Chúa, xin Chúa hãy tránh xa con, vì con là người tội lỗi”. Ông kinh ngạc và tất cả mọi người ở đó với ông cũng kinh ngạc trước mẻ cá mà các ông vừa mới bắt được; cả ông Giacôbê và Gioan, con ông Giêbêđê, bạn đồng nghiệp với ông Simon cũng thế. Nhưng Chúa Giêsu phán bảo ông Simon rằng: “Ðừng sợ hãi: từ đây con sẽ là kẻ chinh phục người ta”. Bấy giờ các ông đưa thuyền vào bờ, và đã từ bỏ mọi sự mà đi theo Người.","end":"Ðó là lời Chúa"}}},
+        "5060": {"A":{"firstReading":{"excerpt":"Hc 15,16-21","info":"“Người không truyền dạy cho một ai làm điều gian ác”","title":"Bài trích sách Ðức Huấn ca.","content":"Bài trích sách Ðức Huấn ca.\rNếu người muốn tuân giữ các giới răn:\rviệc trung thành giữ các giới răn là tùy ở ngươi.\rNgười đặt trước mặt ngươi nước và lửa,\rngươi muốn cái gì, thì giơ tay ra trên đó.\rTrước mặt con người là sự sống và sự chết, sự lành và sự dữ,\rhọ thích thứ nào, thì được thứ ấy.\rBởi chưng, Thiên Chúa đầy khôn ngoan, hùng dũng và toàn năng.\rNgười luôn luôn nhìn thấy mọi loài.\rChúa nhìn đến những kẻ kính sợ Người,\rvà thấu suốt mọi hành động của con người.\rNgười không truyền dạy cho một ai làm điều gian ác,\rvà không cho phép một ai phạm tội.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118,1-2.4-5.17-18.33-34","response":"Xướng: Phúc đức những ai có đường lối tinh tuyền, họ tiến thân trong luật pháp của Chúa. Phúc đức những ai giữ lời Chúa răn bảo, những người đó tận tâm tìm kiếm Chúa.","verses":["Đáp: Phúc đức những ai tiến thân trong luật pháp của Chúa.","Xướng: Phần Chúa, Chúa ban bố huấn lệnh, để chúng được tuân giữ hết sức ân cần. Nguyện cho đường nẻo tôi vững chắc, để tuân giữ thánh chỉ của Chúa.","Xướng: Xin gia ân cho tôi tớ Chúa được sống, để tuân giữ những lời Chúa răn. Xin mở rộng tâm hồn con mắt của tôi, để quan chiêm những điều kỳ diệu trong luật Chúa.","Xướng: Lạy Chúa, xin tỏ cho tôi biết đường lối thánh chỉ Ngài, để tôi được hoàn toàn tuân giữ. Xin giáo huấn tôi, để tôi tuân giữ luật pháp của Ngài và để tôi hết lòng vâng theo luật đó."]},"secondReading":{"excerpt":"1Cor 2,6-10","info":"“Thiên Chúa đã tiền định từ trước muôn thuở, để làm nên sự hiển vinh của chúng ta”.","title":"Bài trích thư thứ nhất của Thánh Phaolô Tông đồ gởi tín hữu Corintô.","content":"Anh em than mến, chúng tôi có bàn giải sự khôn ngoan\rvới những người toàn thiện, mà đó không phải là sự khôn ngoan của thế gian,’\rcũng không phải của những bậc vua chúa thế trần,\rhạng người đã bị dồn vào chỗ hư vong.\rNhưng chúng tôi thuyết sự khôn ngoan đầy nhiệm mầu của Thiên Chúa,\rvẫn được giấu kín, mà Thiên Chúa đã tiền định từ trước muôn thuở,\rđể làm nên sự hiển vinh của chúng tôi.\rSự khôn ngoan đó, không một ai trong các vua chúa thế trần đã biết tới:\rvì giả thử nhận biết, hẳn họ đã không đóng đinh Chúa sự hiển vinh.\rNhưng chúng tôi rao giảng như lời đã chép:\r“Sự mắt chưa từng thấy và tai chưa từng nghe,\rvà lòng người cũng chưa từng mơ ước tới,\rđó là tất cả những điều Thiên Chúa đã làm ra cho những ai yêu mến Người”.\rBởi chưng Thiên Chúa đã mạc khải điều đó cho chúng tôi,\rdo Thánh Thần của Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe; Chúa có lời ban sự sống đời đời – Alleluia."},"gospel":{"excerpt":"Mt 5, 17-37","info":"“Người xưa đã bảo như thế, còn Ta, Ta bảo thật các con thế này”.","title":"Bài trích Phúc Âm theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng:\r“Các con đừng tưởng Ta đến để hủy bỏ lề luật hay các tiên tri:\rTa không đến để hủy bỏ, nhưng để kiện toàn. Vì Ta bảo thật các con:\rCho dù trời đất có qua đi, thì một chấm một phẩy trong bộ luật\rcũng không bỏ sót, cho đến khi mọi sự hoàn thành.\rBởi vậy, ai hủy bỏ một trong những điều luật nhỏ mọn nhất,\rvà dạy người khác làm như vậy, sẽ kể là người nhỏ nhất trong Nước Trời;\rTrái lại, ai giữ và dạy người ta giữ những điều đó,\rsẽ được kể là người cao cả trong Nước Trời.\rNếu các con không công chính hơn các luật sĩ và biệt phái,\rthì các con chẳng được vào Nước Trời đâu.\rCác con đã nghe dạy người xưa rằng:\rKhông được giết người.\rAi giết người, sẽ bị luận phạt nơi toà án.\rCòn Ta, Ta bảo các con: Bất cứ ai phẩn nộ với anh em mình,\rthì sẽ bị toà án luận phạt.\rAi bảo anh em là ngốc, thì bị phạt trước công nghị.\rAi rủa anh em là “khùng”, thì sẽ bị vạ lửa địa ngục.\rNếu ngươi đang dâng của lễ nơi bàn thờ\rmà sực nhớ người anh em đang có điều bất bình với ngươi,\rthì ngươi hãy để của lễ lại trước bàn thờ,\rđi làm hòa với người anh em ngươi trước đã, rồi hãy trở lại dâng của lễ.\rHãy liệu làm hòa với kẻ thù ngay lúc còn đi dọc đường với nó,\rkẻo kẻ thù sẽ đưa ngươi ra trước mặt quan tòa,\rquan tòa lại trao ngươi cho tên lính canh và ngươi sẽ bị tống ngục.\rTa bảo thật cho ngươi biết:\r“Ngươi sẽ không thoát khỏi nơi ấy cho đến khi trả hết đồng bạc cuối cùng!”\rCác con đã nghe nói với người xưa rằng:\r“Chớ ngoại tình”. Còn Ta, Ta bảo các con:\r“Hễ ai nhìn xem phụ nữ mà ước ao phạm tội với họ,\rthì đã ngoại tình với họ trong lòng rồi.\rNếu con mắt phải của con nên dịp tội cho con,\rthì hãy móc nó mà ném xa con; vì thà mất một chi thể\rcòn lợi hơn là toàn thân bị ném vào hỏa ngục.\rVà nếu tay phải con nên dịp tội cho con, thì hãy chặt mà ném nó xa con;\rvì thà mất một chi thể còn hơn là toàn thân bị ném vào hỏa ngục”.\rCũng có lời dạy rằng: “Ai ly dị vợi mình,\rtrừ trường hợp tà dâm, thì làm cớ cho vợ ngoại tình;\rvà ai cưới người vợ đã ly dị, cũng phạm tội ngoại tình”.\rCác con cũng đã nghe có lời bảo người xưa rằng:\r“Chớ thề gian, nhưng hãy giữ trọn lời mình thề với Chúa”.\rCòn Ta, Ta bảo các con:\r“Ðừng thề chi cả; đừng lấy trời mà thề,\rvì trời là ngai Thiên Chúa; đừng lấy đất mà thề, vì đất là bệ chân Người;\rđừng lấy Giêrusalem mà thề, vì là thành của Vua cao cả.\rCũng đừng chỉ đầu ngươi mà thề,\rvì ngươi không thể làm cho một sợi tóc ra trắng hay đen được.\rNhưng lời nói của các con phải là: Có thì nói có,\rkhông thì nói không, thêm điều đặt chuyện là bởi ma quỷ mà ra”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Lv 13, 1-2. 44-46","info":"“Người phong cùi phải ở riêng ngoài trại”.","title":"Trích sách Lêvi.","content":"Chúa phán cùng Môsê và Aaron rằng: “Nếu người nào thấy da thịt mình xuất hiện màu sắc khác thường, hoặc mụn nhọt hay những vết bóng láng, đó là dấu bệnh phong cùi, phải đem họ đến tư tế Aaron, hoặc đến một vị nào trong các con trai của ông.\r“Vậy ai mắc bệnh phong cùi, và tư tế ra lệnh phải ở riêng, thì phải mặc áo rách, để đầu trần, lấy áo che miệng và la to rằng mình mắc bệnh truyền nhiễm và ô uế. Bao lâu người đó còn mắc bệnh phong cùi và ô uế, họ phải ở riêng một mình ngoài trại”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 31, 1-2. 5. 11","response":"Ðáp: Chúa là chỗ dung thân, Chúa giữ con khỏi điều nguy khổ","verses":["Xướng: Phúc thay người được tha thứ lỗi lầm, và tội phạm của người được ơn che đậy! Phúc thay người mà Chúa không trách cứ lỗi lầm, và trong lòng người đó chẳng có mưu gian!","Xướng: Tôi xưng ra cùng Chúa tội phạm của tôi, và lỗi lầm của tôi, tôi đã không che giấu. Tôi nói: “Con thú thực cùng Chúa điều gian ác của con, và Chúa đã tha thứ tội lỗi cho con”.","Xướng: Chư vị hiền nhân, hãy vui mừng hân hoan trong Chúa, và mọi người lòng ngay hãy hớn hở reo mừng."]},"secondReading":{"excerpt":"1 Cr 10, 31 – 11, 1","info":"“Anh em hãy noi gương tôi, như tôi đã noi gương Ðức Kitô”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, dầu anh em ăn, dầu anh em uống, dầu anh em làm việc gì khác, anh em hãy làm mọi sự cho sáng danh Chúa. Anh em đừng nên cớ cho người Do-thái, dân ngoại hay Hội thánh của Thiên Chúa phải vấp phạm. Như tôi đây, tôi cố làm hài lòng mọi người trong mọi sự, không tìm điều gì lợi ích cho tôi, nhưng tìm điều lợi ích cho nhiều người, để họ được cứu rỗi. Anh em hãy noi gương tôi, như tôi đã noi gương Ðức Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia"},"gospel":{"excerpt":"Mc 1, 40-45","info":"“Bệnh cùi biến mất và người ấy được sạch”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, có một người bệnh cùi đến van xin Chúa Giêsu và quỳ xuống thưa Người rằng: “Nếu Ngài muốn, Ngài có thể khiến tôi nên sạch”. Ðộng lòng thương, Chúa Giêsu giơ tay đặt trên người ấy và nói: “Ta muốn, anh hãy khỏi bệnh”. Tức thì bệnh cùi biến mất và người ấy được sạch. Nhưng Người nghiêm nghị bảo anh đi ngay và dặn rằng: “Anh hãy ý tứ đừng nói cho ai biết, một hãy đi trình diện cùng trưởng tế và dâng của lễ theo luật Môsê để minh chứng mình đã được khỏi bệnh”. Nhưng đi khỏi, người ấy liền cao rao và loan truyền tin đó, nên Chúa Giêsu không thể công khai vào thành nào được. Người dừng lại ở ngoài thành, trong những nơi vắng vẻ, và người ta từ khắp nơi tuôn đến cùng Người.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Gr 17, 5-8","info":"“Khốn thay cho kẻ tin tưởng người đời; phúc thay cho người tin tưởng vào Thiên Chúa”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ðây Chúa phán: “Khốn thay cho kẻ tin tưởng người đời, họ nương tựa vào sức mạnh con người, còn tâm hồn họ thì sống xa Chúa. Họ như cây cỏ trong hoang địa, không cảm thấy khi được hạnh phúc; họ ở những nơi khô cháy trong hoang địa, vùng đất mặn không người ở. Phúc thay cho người tin tưởng vào Thiên Chúa, và Chúa sẽ là niềm cậy trông của họ. Họ sẽ như cây trồng nơi bờ suối, cây đó đâm rễ vào nơi ẩm ướt, không sợ gì khi mùa hè đến, lá vẫn xanh tươi, không lo ngại gì khi nắng hạn mà vẫn sinh hoa kết quả luôn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Phúc thay người đặt niềm tin cậy vào Chúa (Tv 39, 5c).","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy; họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"secondReading":{"excerpt":"1 Cr 15, 12. 16-20","info":"“Nếu Ðức Kitô đã không sống lại, thì lòng tin của anh em cũng là hão huyền”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, nếu Ðức Kitô được rao giảng rằng Người đã từ cõi chết sống lại, thì làm sao có người trong anh em cho rằng không có sự sống lại từ cõi chết? Vì nếu kẻ chết không sống lại, Ðức Kitô cũng đã không sống lại. Nếu Ðức Kitô đã không sống lại, thì lòng tin của anh em cũng là hão huyền, và hiện anh em vẫn còn ở trong tội lỗi của anh em. Như thế ai đã chết trong Ðức Kitô, cũng bị tiêu huỷ cả. Nếu chúng ta chỉ hy vọng vào Ðức Kitô trong cuộc đời này mà thôi, thì chúng ta là những người vô phúc nhất trong thiên hạ.\rNhưng không, Ðức Kitô đã từ cõi chết sống lại, là hoa quả đầu mùa của những người đã yên giấc.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 6, 17. 20-26","info":"“Phúc cho những kẻ nghèo khó. Khốn cho các ngươi là kẻ giàu có”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu từ trên núi xuống cùng với mười hai tông đồ, và dừng lại trên một khoảng đất bằng; ở đó có đông môn đệ và một đám đông dân chúng từ Giuđêa, Giêrusalem, miền duyên hải Tyrô và Siđon kéo đến để nghe Người giảng và xin Người chữa bệnh tật. Bấy giờ Người đưa mắt nhìn các môn đệ và nói: “Phúc cho các ngươi là những kẻ nghèo khó, vì nước Thiên Chúa là của các ngươi. Phúc cho các ngươi là những kẻ bây giờ đói khát, vì các ngươi sẽ được no đầy. Phúc cho các ngươi là những kẻ bây giờ phải khóc lóc, vì các ngươi sẽ được vui cười. Phúc cho các ngươi, nếu vì Con Người mà người ta thù ghét, trục xuất và phỉ báng các ngươi, và loại trừ tên các ngươi như kẻ bất lương. Ngày ấy, các ngươi hãy hân hoan và reo mừng, vì như thế, phần thưởng các ngươi sẽ bội hậu trên trời. Chính cha ông họ cũng đã đối xử với các tiên tri y như thế.\r“Nhưng khốn cho các ngươi là kẻ giàu có, vì các ngươi hiện đã được phần an ủi rồi. Khốn cho các ngươi là kẻ đã được no nê đầy đủ, vì các ngươi sẽ phải đói khát. Khốn cho các ngươi là kẻ hiện đang vui cười, vì các ngươi sẽ ưu sầu khóc lóc. Khốn cho các ngươi khi mọi người đều ca tụng các ngươi, vì chính cha ông họ cũng từng đối xử như vậy với các tiên tri giả”.","end":"Ðó là lời Chúa"}}}
+    }
+});
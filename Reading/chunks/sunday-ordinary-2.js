@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-ordinary-2", {
+    "SUNDAY": {
+        "5070": {"A":{"firstReading":{"excerpt":"Lv 19,1-2. 17-18","info":"“Hãy yêu thương bạn hữu như chính mình”.","title":"Trích sách Lêvi.","content":"Chúa phán cùng Môsê rằng: “Ngươi hãy nói cho toàn thể cộng đồng con cái Israel: Các ngươi hãy nên thánh, vì Ta là Ðấng Thánh, là Thiên Chúa các ngươi. Ðừng giữ lòng thù ghét anh em, nhưng hãy răn bảo họ công khai, để khỏi mang tội vì họ. Ðừng tìm báo oán, đừng nhớ lại lời mắng nhiếc của kẻ đồng hương. Hãy yêu thương các bạn hữu như chính mình. Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8 và 10. 12-13.","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, và toàn thể con người tôi, hãy chúc tụng danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân, Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi.","Xướng: Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi. Cũng như người cha yêu thương con cái, Chúa yêu thương những ai kính sợ Người."]},"secondReading":{"excerpt":"1 Cr 3, 16-23","info":"“Tất cả là của anh em, nhưng anh em thuộc về Ðức Kitô, và Ðức Kitô thuộc về Thiên Chúa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, Anh em không biết anh em là đền thờ của Thiên Chúa và Thánh Thần Thiên Chúa ngự trong anh em sao? Nếu ai xúc phạm tới đền thờ của Thiên Chúa, thì Thiên Chúa sẽ huỷ diệt người ấy. Vì đền thờ của Thiên Chúa là thánh, mà chính anh em là đền thờ ấy.\rÐừng có ai lừa dối mình. Nếu có ai trong anh em cho mình là người khôn ngoan ở đời này, thì kẻ ấy hãy nên điên dại để được khôn ngoan: vì sự khôn ngoan của thế gian này là sự điên dại đối với Thiên Chúa, vì có lời chép rằng: “Chính Người bắt chợt những người khôn ngoan ngay trong xảo kế của họ”. Lại có lời khác rằng: “Chúa biết tư tưởng của những người khôn ngoan là hão huyền”. Vậy đừng có ai còn tự phô trương nơi loài người. Vì tất cả là của anh em, dù là Phaolô, hay Apollô, hoặc Kêpha, hoặc thế gian, sự sống hay sự chết, hoặc hiện tại hay tương lai. Tất cả là của anh em, nhưng anh em thuộc về Ðức Kitô, và Ðức Kitô thuộc về Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 5, 38-48","info":"“Các con hãy yêu thương thù địch các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đã nghe bảo: ‘Mắt đền mắt, răng đền răng’. Còn Thầy, Thầy bảo các con: đừng chống cự lại với kẻ hung ác; trái lại, nếu ai vả má bên phải của con, thì hãy đưa má bên kia cho nó nữa. Và ai muốn kiện con để đoạt áo trong của con, thì hãy trao cho nó cả áo choàng nữa. Và ai bắt con đi một dặm, thì con hãy đi với nó hai dặm. Ai xin, thì con hãy cho. Ai muốn vay mượn, thì con đừng khước từ.\r“Các con cũng đã nghe dạy rằng: ‘Hãy yêu thương tha nhân, và ghét thù địch’. Còn Thầy, Thầy bảo các con: Các con hãy yêu thương thù địch các con, hãy làm lành cho những kẻ ghét các con, và cầu nguyện cho những kẻ bắt bớ và vu khống các con, để các con nên con cái Cha các con ở trên trời, là Ðấng làm cho mặt trời mọc lên trên người lành cũng như kẻ dữ, và cho mưa trên người công chính cũng như kẻ bất lương. Vì nếu các con yêu thương những kẻ yêu thương các con, thì còn có công gì? Nào những người thu thuế không làm như vậy ư? Và nếu các con chỉ chào hỏi anh em các con mà thôi, thì các con có làm gì hơn? Nào dân ngoại không làm như vậy sao? Vậy các con hãy nên trọn lành như Cha các con trên trời là Ðấng trọn lành”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 43, 18-19. 21-22. 24b-25","info":"“Vì Ta, Ta sẽ xoá bỏ sự gian ác của ngươi”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây lời Chúa phán: Các ngươi đừng nhớ đến dĩ vãng, và đừng để ý đến việc thời xưa nữa. Ðây Ta sẽ làm những cái mới và giờ đây chúng sẽ xuất hiện, như các ngươi sẽ biết; Ta sẽ mở đường trong hoang địa, và khai sông nơi đất khô khan. Ta đã tác tạo dân này cho Ta, nó sẽ ca ngợi Ta. Hỡi nhà Giacóp, ngươi đã chẳng kêu cầu Ta; hỡi nhà Israel, ngươi cũng không chịu khó nhọc vì Ta. Nhưng ngươi đã làm khổ Ta vì tội lỗi của ngươi, và ngươi đã làm cực Ta vì sự gian ác của ngươi. Chính Ta đây, chính vì Ta mà Ta xoá bỏ sự gian ác của ngươi, và sẽ không còn nhớ đến tội lỗi của ngươi nữa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 40, 2-3. 4-5. 13-14.","response":"Ðáp: Xin Chúa chữa khỏi hồn con, vì con đã phạm tội phản nghịch Ngài (c. 5b).","verses":["Xướng: Phúc đức ai quan tâm đến kẻ cơ bần: ngày tai hoạ, Chúa sẽ giải thoát cho. Chúa sẽ gìn giữ cho người được sống, cho người được hạnh phúc ở trần gian, và không trao nạp người cho ác tâm quân thù.","Xướng: Chúa sẽ nâng đỡ người trên giường nằm đau khổ, và chữa khỏi mọi tàn tật lúc ốm đau. Phần tôi đã nói: Lạy Chúa, nguyện xót thương con, chữa khỏi hồn con, vì con đã phạm tội phản nghịch Ngài.","Xướng: Phần con khi được lành mạnh xin Chúa nâng đỡ, và cho tới khi đứng trước thiên nhan tới muôn đời. Chúc tụng Chúa là Thiên Chúa của Israel, tự thuở này tới thuở kia. Amen. Amen."]},"secondReading":{"excerpt":"2 Cr 1, 18-22","info":"“Ðức Giêsu không phải vừa ‘có’ lại vừa ‘không’, nhưng nơi Người chỉ là ‘có’ mà thôi”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, xin Thiên Chúa là Ðấng trung tín, chứng giám cho rằng lời nói của chúng tôi đối với anh em không phải là vừa “Có” lại vừa “Không”. Quả thế, Con Thiên Chúa là Ðức Giêsu Kitô, Ðấng mà tôi, Silvanô và Timôthêu đã rao giảng nơi anh em, Người không phải vừa “Có” lại vừa “Không”, trái lại nơi Người chỉ là “Có” mà thôi. Bởi chưng bao nhiêu lời hứa của Thiên Chúa đã thành “Có” ở nơi Người. Vì thế, nhờ Người mà chúng tôi hô lên lời “Amen” tôn vinh Thiên Chúa. Vậy Ðấng đã làm cho chúng tôi và anh em được đứng vững trong Ðức Kitô, và đã xức dầu cho chúng ta, chính là Thiên Chúa, Người đã ghi dấu trên mình chúng ta, và đã ban Thánh Thần vào lòng chúng ta làm bảo chứng.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 8, 12","content":"Alleluia, Alleluia – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mc 2, 1-12","info":"“Con Người có quyền tha tội dưới đất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Sau ít ngày, Chúa Giêsu lại trở về Capharnaum. Nghe tin Người đang ở trong nhà, nhiều người tuôn tới đông đảo, đến nỗi ngoài cửa cũng không còn chỗ đứng, và Người giảng dạy họ. Người ta mang đến cho Người một kẻ bất toại do bốn người khiêng. Vì dân chúng quá đông, không thể khiêng đến gần Người được, nên họ dỡ mái nhà trên chỗ Người ngồi một lỗ to, rồi thòng chiếc chõng với người bất toại xuống. Thấy lòng tin của họ, Chúa Giêsu nói với người bất toại rằng: “Hỡi con, tội lỗi con được tha”. Lúc ấy, có một ít luật sĩ ngồi đó, họ thầm nghĩ rằng: “Sao ông này lại nói thế? Ông nói phạm thượng. Ai có quyền tha tội, nếu không phải là một mình Thiên Chúa”. Chúa Giêsu biết tâm trí họ nghĩ như vậy, liền nói với họ: “Tại sao lòng các ông nghĩ như thế? Nói với người bất toại này: ‘Tội lỗi con được tha’ hay nói: ‘Hãy chỗi dậy vác chõng mà đi’, đằng nào dễ hơn? Nhưng (nói thế là) để các ông biết Con Người có quyền tha tội dưới đất”. Người nói với kẻ bất toại: “Ta truyền cho con hãy chỗi dậy, vác chõng mà về nhà”. Lập tức người ấy đứng dậy, vác chõng ra đi trước mặt mọi người, khiến ai nấy sửng sốt và ngợi khen Thiên Chúa rằng: “Chúng tôi chưa từng thấy như thế bao giờ”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"1 Sm 26, 2. 7-9. 12-13. 22-23","info":"“Chúa trao đức vua trong tay tôi mà tôi không nỡ ra tay”.","title":"Trích sách Samuel quyển thứ nhất.","content":"Trong những ngày ấy, Saolê cùng với ba ngàn quân sĩ tinh nhuệ của Israel kéo xuống hoang địa Ziphô để vây bắt Ðavít. Ban đêm Ðavít và Abisai đến nơi quân sĩ (của vua) đóng, và thấy Saolê đang nằm ngủ trong lều, cây giáo của ông thì cắm xuống đất ở phía đầu. Abner và quân sĩ thì ngủ chung quanh ông.\rAbisai liền nói với Ðavít rằng: “Hôm nay, Thiên Chúa đã trao kẻ thù trong tay ngài; vậy giờ đây xin cho tôi lấy giáo đâm ông ấy một phát thâu xuống đất, không cần đến phát thứ hai”. Nhưng Ðavít nói với Abisai rằng: “Chớ giết ngài, vì có ai đưa tay phạm đến Ðấng Chúa xức dầu mà vô tội đâu?” Rồi Ðavít lấy cây giáo và bình nước ở phía đầu của Saolê và cả hai ra đi. Không ai hay biết và không ai thức dậy, nhưng mọi người vẫn ngủ, vì Chúa khiến họ ngủ say.\rÐavít sang phía bên kia, đứng trên ngọn núi đàng xa, đôi bên cách xa nhau. Ngài hô lên rằng: “Ðây là ngọn giáo của nhà vua, một trong các cận vệ của vua hãy qua đây mà lấy, Chúa sẽ báo đáp cho mỗi người tuỳ theo sự công minh và thành tín cuả họ, vì hôm nay Chúa trao đức vua trong tay tôi mà tôi không nỡ ra tay giết đấng được Chúa xức dầu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8 và 10. 12-13.","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót. (c. 8a).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, và toàn thể con người tôi, hãy chúc tụng danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân, Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi.","Xướng: Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi. Cũng như người cha yêu thương con cái, Chúa yêu thương những ai kính sợ Người."]},"secondReading":{"excerpt":"1 Cr 15, 45-49","info":"“Như chúng ta đã mang hình ảnh của người thuộc địa giới, thì chúng ta cũng sẽ mang hình ảnh người thiên quốc như vậy”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, Ađam cũ là người có sự sống, còn Ađam mới thì có thần trí ban sự sống. Những điều có trước, không phải thuộc linh giới, mà là thuộc thể giới, rồi mới đến cái thuộc về linh giới. Người thứ nhất bởi đất mà ra, thì thuộc về địa giới, còn người thứ hai bởi trời mà đến, thì thuộc thiên giới. Người thuộc địa giới đó thế nào, thì những người khác thuộc địa giới cũng vậy; và người thuộc thiên giới đó thế nào, thì những người khác thuộc thiên giới cũng vậy. Bởi thế, như chúng ta đã mang hình ảnh của người thuộc địa giới, thì chúng ta cũng sẽ mang hình ảnh người thiên quốc như vậy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời của Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 6, 27-38","info":"“Các con hãy tỏ lòng thương xót như Cha các con hay thương xót”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy bảo các con đang nghe Thầy đây: Các con hãy yêu kẻ thù, hãy làm ơn cho những kẻ ghét mình, hãy chúc phúc cho những kẻ nguyền rủa mình, hãy cầu nguyện cho những kẻ vu khống mình. Ai vả má con bên này, thì đưa cả má bên kia; ai lột áo ngoài của con, thì con cũng đừng cản nó lấy áo trong. Ai xin, thì con hãy cho và ai lấy gì của con, thì đừng đòi lại. Các con muốn người ta làm điều gì cho các con, thì hãy làm cho người ta như vậy. Nếu các con yêu những kẻ yêu các con, thì còn ân nghĩa gì nữa? Vì cả những người tội lỗi cũng yêu những ai yêu họ. Và nếu các con làm ơn cho những kẻ làm ơn cho các con, thì còn ân nghĩa gì? Cả những người tội lỗi cũng làm như vậy. Và nếu các con cho ai vay mượn mà trông người ta trả lại, thì còn ân nghĩa gì? Cả những người tội lỗi cũng cho những kẻ tội lỗi vay mượn để rồi được trả lại sòng phẳng.\rVậy các con hãy yêu kẻ thù, hãy làm ơn, và cho vay mượn mà không trông báo đền. Phần thưởng của các con bấy giờ sẽ lớn lao, và các con sẽ là con cái Ðấng Tối Cao, vì Người nhân hậu với những kẻ bội bạc và những kẻ gian ác.\rVậy các con hãy ở nhân từ như Cha các con là Ðấng nhân từ. Ðừng xét đoán, thì các con sẽ khỏi bị xét đoán; đừng kết án, thì các con khỏi bị kết án. Hãy tha thứ, thì các con sẽ được tha thứ. Hãy cho, thì sẽ cho lại các con; người ta sẽ lấy đấu hảo hạng, đã dằn, đã lắc và đầy tràn mà đổ vào vạt áo các con. Vì các con đong đấu nào, thì cũng sẽ được đong trả lại bằng đấu ấy”.","end":"Ðó là lời Chúa"}}},
+        "5080": {"A":{"firstReading":{"excerpt":"Is 49, 14-15","info":"“Ta sẽ không quên ngươi đâu”.","title":"Trích sách Tiên tri Isaia.","content":"Sion nói: “Chúa bỏ rơi tôi, Chúa đã quên tôi rồi”. Nào người mẹ có thể quên con mình mà không thương xót chính đứa con mình đã cưu mang ư? Cho dù người mẹ đó có quên, nhưng Ta sẽ không quên ngươi đâu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 61, 2-3. 6-7. 8-9ab.","response":"Ðáp: Duy nơi Thiên Chúa, linh hồn tôi được an vui (c. 2a).","verses":["Xướng: Duy nơi Thiên Chúa, linh hồn tôi được an vui; do chính mình Người, tôi được ơn cứu độ. Phải, chính Chúa là Ðá Tảng, là ơn cứu độ của tôi, Người là chiến lũy của tôi, tôi sẽ không hề nao núng.","Xướng: Duy nơi Thiên Chúa linh hồn tôi hãy nghỉ an, vì do chính mình Người, tôi được ơn cứu độ. Phải, chính Chúa là Ðá Tảng, là ơn cứu độ của tôi, Người là chiến lũy của tôi, tôi sẽ không hề nao núng.","Xướng: Vinh dự và an toàn của tôi ở nơi Thiên Chúa, nơi Thiên Chúa, tôi có Ðá Tảng kiên cố và chỗ dung thân. Hỡi dân tộc, hãy trông cậy Người luôn mọi lúc, hãy đổ dốc niềm tâm sự trước nhan Người."]},"secondReading":{"excerpt":"1 Cr 4, 1-5","info":"“Chúa sẽ phơi bày những ý định của tâm hồn”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, như vậy người ta coi chúng tôi như những thừa tác viên của Ðức Kitô, và những người phân phát các mầu nhiệm của Thiên Chúa. Do đó, người ta đòi hỏi nơi những người phân phát các mầu nhiệm là mỗi người phải trung tín. Phần tôi, tôi không lấy làm quan trọng khi bị anh em hay toà án nhân loại đoán xét; nhưng tôi cũng không đoán xét chính mình tôi. Vì chưng, mặc dầu lương tâm không trách cứ tôi điều gì, nhưng không phải vì thế mà tôi đã được công chính hoá. Ðấng đoán xét tôi chính là Chúa. Vì thế, anh em đừng đoán xét trước thời gian cho đến khi Chúa đến, Người sẽ đưa ra ánh sáng những điều giấu kín trong bóng tối và phơi bày những ý định của tâm hồn; và bấy giờ Thiên Chúa sẽ ban khen tương xứng cho mỗi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Mt 6, 24-34","info":"“Các con chớ áy náy về ngày mai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Mátthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không ai có thể làm tôi hai chủ: vì hoặc nó sẽ ghét người này, và yêu mến người kia, hoặc nó chuộng chủ này, và khinh chủ nọ. Các con không thể làm tôi Thiên Chúa và tiền của được. Vì thế Thầy bảo các con: Chớ áy náy lo lắng cho mạng sống mình: lấy gì mà ăn; hay cho thân xác các con: lấy gì mà mặc. Nào mạng sống không hơn của ăn, và thân xác không hơn áo mặc sao?\rHãy nhìn xem chim trời, chúng không gieo, không gặt, không thu vào lẫm, thế mà Cha các con trên trời vẫn nuôi chúng. Nào các con không hơn chúng sao? Nào có ai trong các con lo lắng áy náy mà có thể làm cho mình cao thêm một gang được ư? Còn về áo mặc, các con lo lắng làm gì? Hãy ngắm xem hoa huệ ngoài đồng, coi chúng mọc lên thế nào? Chúng không làm lụng, không canh cửi. Nhưng Thầy nói với các con rằng: Ngay cả Salomon trong tất cả vinh quang của ông, cũng không phục sức được bằng một trong những đoá hoa đó. Vậy nếu hoa cỏ đồng nội, nay còn, mai bị ném vào lò lửa, mà còn được Thiên Chúa mặc cho như thế, huống chi là các con, hỡi những kẻ kém lòng tin.\rVậy các con chớ áy náy lo lắng mà nói rằng: Chúng ta sẽ ăn gì, uống gì, hoặc sẽ lấy gì mà mặc? Vì chưng, dân ngoại tìm kiếm những điều đó. Nhưng Cha các con biết rõ các con cần đến những điều đó. Tiên vàn các con hãy tìm kiếm nước Thiên Chúa và sự công chính của Người, còn các điều đó, Người sẽ ban thêm cho các con. Vậy các con chớ áy náy lo lắng về ngày mai. Vì ngày mai sẽ lo cho ngày mai. Ngày nào có sự khốn khổ của ngày ấy”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Hs 2, 14b. 15b. 19-20","info":"“Ta sẽ đính hôn với ngươi đến muôn đời”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, như ngày nó lên từ đất Ai-cập.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín, và ngươi sẽ biết Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8 và 10. 12-13","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót (c. 8a).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, và toàn thể con người tôi, hãy chúc tụng danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân; Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi.","Xướng: Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi. Cũng như người cha yêu thương con cái, Chúa yêu thương những ai kính sợ Người."]},"secondReading":{"excerpt":"2 Cr 3, 1-6a","info":"“Anh em là bức thư của Ðức Kitô do chúng tôi biên soạn”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, chúng tôi lại giới thiệu cho mình ư? hoặc như một vài người, chúng tôi cần phải có thư giới thiệu với anh em, hoặc của anh em sao? Thư của chúng tôi, chính là anh em, viết ngay trong lòng anh em mà mọi người biết được và đọc được. Ai cũng rõ anh em là bức thư của Ðức Kitô do chúng tôi biên soạn, được viết không phải bằng mực, mà là bằng thần trí của Thiên Chúa hằng sống, không phải viết trên những tấm đá, nhưng là viết trên tâm hồn anh em.\rChúng tôi tin tưởng như thế trước mặt Thiên Chúa nhờ Ðức Kitô. Không phải chúng tôi có thể nghĩ tưởng điều gì như là bởi chính chúng tôi, nhưng điều đó là do Thiên Chúa; chính Người là Ðấng đã làm cho chúng tôi trở nên thừa tác viên xứng đáng của Tân Ước, không phải của văn tự, mà là của thần trí: vì văn tự chỉ giết chóc, còn thần trí mới tác sinh.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 17, 17b và a","content":"Alleluia, Alleluia – Chúa phán: “Lạy Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia."},"gospel":{"excerpt":"Mc 2, 18-22","info":"“Tân lang còn ở với họ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, môn đồ của Gioan và các người biệt phái ăn chay, họ đến nói với Chúa Giêsu rằng: “Tại sao môn đồ của Gioan và các người biệt phái ăn chay, còn môn đệ của Ngài lại không ăn chay?” Chúa Giêsu nói với họ: “Các khách dự tiệc cưới có thể ăn chay khi tân lang còn ở với họ không? Bao lâu tân lang còn ở với họ, thì họ không thể ăn chay được. Nhưng sẽ đến ngày tân lang bị đem đi, bấy giờ họ sẽ ăn chay. Không ai lấy vải mới mà vá áo cũ, chẳng vậy, miếng vải vá sẽ rút lại mà kéo áo cũ, và chỗ rách lại tệ hơn. Cũng không ai đổ rượu mới vào bầu da cũ, chẳng vậy, rượu sẽ làm vỡ bầu da, và rượu đổ, bầu da hư. Nhưng rượu mới phải để trong bầu da mới”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Hc 27, 5-8","info":"“Ðừng ca tụng người nào trước khi nghe người ấy nói”.","title":"Trích sách Huấn Ca.","content":"Khi người ta sàng, những rác rến còn lại thế nào, thì nết xấu của một người cũng xuất hiện trong lời nói kẻ ấy như vậy. Lò lửa thì nung luyện bình sành, còn gian nan thì thử những người công chính. Xem trái liền biết cây thế nào, thì nghe lời nói cũng biết tư tưởng lòng người như thể ấy. Ðừng ca tụng người nào trước khi nghe người ấy nói, vì lời nói là sự thử thách của con người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 91, 2-3. 13-14. 15-16","response":"Ðáp: Lạy Chúa, thiện hảo thay việc khen ngợi Chúa! (x. c. 2a).","verses":["Xướng: Thiện hảo thay việc khen ngợi Chúa, và đàn ca danh Ngài, ôi Ðấng Tối Cao, hầu loan truyền tình thương Ngài vào buổi sớm, và lòng trung tín Ngài vào lúc ban đêm.","Xướng: Người hiền đức như cây chà là nở hoa tươi tốt, vươn mình lên như cây hương bá đất Liban. Họ được vun trồng trong nhà Chúa, trong hành lang nhà Thiên Chúa chúng tôi họ nở bông.","Xướng: Ngay trong tuổi già họ còn sinh trái, họ đầy nhựa sống và họ sống xanh tươi, để họ loan truyền Chúa nhường bao công chính, Chúa là Ðá Tảng của tôi, nơi Chúa chẳng có gian tà!"]},"secondReading":{"excerpt":"1 Cr 15, 54-58","info":"“Người đã ban cho chúng ta sự chiến thắng nhờ Ðức Giêsu Kitô”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, khi xác hay chết này mặc lấy sự trường sinh, thì lúc ấy ứng nghiệm lời đã ghi chép rằng: “Sự chết đã tiêu tan trong chiến thắng”. “Hỡi tử thần, chiến thắng của ngươi ở đâu? Hỡi tử thần, nọc độc của ngươi ở đâu? Nọc độc của sự chết là tội, thế lực của tội là lề luật”. Cảm tạ ơn Thiên Chúa, Ðấng đã ban cho chúng ta chiến thắng nhờ Ðức Giêsu Kitô, Chúa chúng ta. Cho nên, hỡi anh em thân mến, anh em hãy ăn ở bền đỗ và đừng nao núng; hãy luôn luôn thăng tiến trong công trình của Chúa. Hãy biết rằng công lao khó nhọc của anh em không phải là uổng phí trong Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến! Bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Lc 6, 39-45","info":"“Miệng nói những điều đầy ứ trong lòng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Người mù có thể dẫn người mù được chăng? Cả hai lại không sa xuống hố ư? Môn đệ không trọng hơn Thầy: nếu môn đệ được giống như Thầy, thì kể là hoàn hảo rồi.\r“Sao ngươi nhìn cái rác trong mắt anh em, còn cái đà trong chính mắt ngươi thì lại không thấy? Sao ngươi có thể nói với người anh em: ‘Này anh, hãy để tôi lấy cái rác trong con mắt anh’, trong khi chính ngươi không nhìn thấy cái đà trong mắt ngươi? Hỡi kẻ giả hình, hãy lấy cái đà ra khỏi mắt mình trước đã, rồi bấy giờ ngươi sẽ trông rõ để lấy cái rác khỏi mắt anh em ngươi.\r“Không có cây nào tốt mà sinh trái xấu; và ngược lại, cũng không có cây nào xấu mà sinh trái tốt. Thật vậy, cứ xem trái thì biết cây. Người ta không hái được trái vả ở bụi gai, và cũng không hái được trái nho nơi cây dâu đất. Người hiền, bởi lòng tích chứa điều lành, nên phát xuất sự thiện; và kẻ dữ, bởi tích đầy lòng ác, nên phát xuất điều ác: vì lòng đầy, thì miệng mới nói ra”.","end":"Ðó là lời Chúa"}}},
+        "5090": {"A":{"firstReading":{"excerpt":"Ðnl 11, 18. 26-28","info":"“Ta đặt trước mặt các ngươi sự chúc phúc và sự chúc dữ”.","title":"Trích sách Ðệ Nhị Luật.","content":"Lúc ấy, Môsê nói với dân chúng rằng: “Các ngươi hãy ghi lòng tạc dạ những lời này, và đeo nó nơi tay như bửu bối, và hãy luôn để nó trước mắt các ngươi. Ðây hôm nay ta đặt trước mặt các ngươi sự chúc lành và sự chúc dữ: nếu các ngươi tuân giữ các giới răn của Chúa là Thiên Chúa các ngươi, mà hôm nay ta rao truyền cho các ngươi, thì các ngươi được chúc phúc, còn nếu các ngươi không tuân giữ các giới răn của Chúa là Thiên Chúa các ngươi, mà lại đi sai đường lối ta vạch ra cho các ngươi hôm nay, và chạy theo các thần ngoại lai mà các ngươi chẳng hiểu biết, thì sẽ bị chúc dữ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 2-3a. 3bc-4. 17 và 25","response":"Ðáp: Lạy Chúa, xin Chúa trở thành núi đá cho con trú ẩn (c. 3b).","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con muôn đời tủi hổ, vì đức công minh Ngài, xin cứu chữa con. Xin Chúa hãy ghé tai về bên tôi tớ Chúa.","Xướng: Xin Ngài mau lẹ để giải thoát con. Xin Chúa trở thành núi đá cho con trú ẩn. Bởi Chúa là Ðá tảng, là chiến luỹ của con, vì uy danh Ngài, Ngài sẽ dìu dắt và hướng dẫn con.","Xướng: Xin cho tôi tớ Chúa được thấy long nhan dịu hiền, xin cứu sống con theo lượng từ bi của Chúa. Lòng chư vị hãy can trường mạnh bạo, hết thảy chư vị là người cậy trông ở Chúa."]},"secondReading":{"excerpt":"Rm 3, 21-25a. 28","info":"“Con người nhờ đức tin mà được công chính hoá, chứ không phải nhờ việc làm theo lề luật”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, bây giờ sự công chính của Thiên Chúa đã tỏ hiện không tuỳ vào lề luật, nhưng có lề luật và các tiên tri làm chứng. Sự công chính của Thiên Chúa nhờ tin vào Ðức Giêsu Kitô sẽ ban cho mọi kẻ tin vào Người, không có gì phân biệt: vì mọi người đều phạm tội và đã thiếu mất vinh quang của Thiên Chúa, họ được công chính hoá cách nhưng không do ơn nghĩa của Người và nhờ sự cứu chuộc nơi Ðức Giêsu Kitô, Ðấng Thiên Chúa đã đặt làm của lễ đền tội, nhờ tin vào máu của Người.\rQuả thế, chúng tôi thâm tín rằng con người nhờ đức tin mà được công chính hoá, chứ không phải bởi việc làm theo lề luật.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến, bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Mt 7, 21-27","info":"“Nhà xây trên nền đá và nhà xây trên cát”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không phải tất cả những ai nói với Ta: ‘Lạy Chúa, lạy Chúa!’, là được vào nước trời, nhưng chỉ có người thực hiện ý Cha Ta ở trên trời, kẻ ấy mới được vào nước trời. Trong ngày đó, nhiều người sẽ nói với Thầy rằng: ‘Lạy Chúa, lạy Chúa, nào chúng tôi đã không nhân danh Chúa mà nói tiên tri, nhân danh Chúa mà trừ quỷ, và nhân danh Chúa mà làm nhiều phép lạ đó ư?’ Và bấy giờ Thầy sẽ tuyên bố với chúng rằng: ‘Ta chẳng hề biết các ngươi, hỡi những kẻ làm điều gian ác, hãy lui ra khỏi mặt Ta’.\r“Vậy ai nghe những lời Thầy nói đây mà đem ra thực hành, thì giống như người khôn ngoan đã xây nhà mình trên đá; mưa có đổ xuống, nước có tràn vào, gió bão có thổi đến và lùa vào nhà đó, nhà vẫn không sập, vì nhà ấy được xây trên nền đá. Và hễ ai nghe những lời Thầy nói đây mà không đem ra thực hành, thì giống như người ngu đần, xây nhà mình trên cát, khi mưa sa nước lũ, gió thổi và lùa vào nhà đó, nhà sẽ sập và sẽ trở nên đống hoang tàn”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"1V 8, 41-43","info":"“Khi người xứ lạ đến cầu nguyện, Chúa đã nhậm lời nó”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Salomon cầu nguyện trong đền thờ rằng: “Người ngoại bang không phải thuộc dân Israel của Chúa, vì danh Chúa, (bởi nó nghe nói danh Chúa cao cả, bàn tay Chúa mạnh mẽ và cánh tay Chúa hùng dũng), nó từ xứ xa lạ mà đến; vậy khi nó cầu nguyện tại nơi này, từ trời nơi Chúa ngự, (xin) Chúa nhậm lời nó, và ban cho nó mọi sự như nó kêu cầu, để mọi dân trên thế giới biết sợ danh Chúa, cũng như dân Israel của Ngài, và họ biết rằng danh Chúa được cao rao tại đền thờ này mà con đã xây cất”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 116, 1. 2","response":"Ðáp: Hãy đi rao giảng Tin Mừng khắp thế gian (Mc 16, 15). \r Hoặc đọc: Alleluia.","verses":["Xướng: Toàn thể chư dân, hãy ngợi khen Chúa! Hết thảy các nước, hãy chúc tụng Người.","Xướng: Vì tình thương Chúa dành cho chúng ta thật là mãnh liệt, và lòng trung thành của Chúa tồn tại muôn đời."]},"secondReading":{"excerpt":"Gl 1, 1-2. 6-10","info":"“Nếu tôi còn làm vừa lòng thiên hạ, thì tôi không phải là đầy tớ của Ðức Kitô”.","title":"Khởi đầu thư của Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Phaolô, làm Tông đồ không phải do loài người, hay do một người nào, mà là do Ðức Giêsu Kitô, và do Chúa Cha, Ðấng đã cho Người từ cõi chết sống lại, và tất cả anh em đang ở với tôi, kính gửi các cộng đoàn ở Galata.\rTôi ngạc nhiên thấy anh em thay lòng đổi dạ chóng như thế đối với Ðấng đã kêu gọi anh em thông phần vào ân sủng của Ðức Kitô, để anh em quay sang một tin mừng khác! Tin mừng khác làm gì có, chỉ có những kẻ phá rối anh em và muốn anh em đảo lộn Tin Mừng của Ðức Kitô. Nhưng cho dù chúng tôi, hay một thiên thần nào từ trời đến, giảng tin mừng khác với Tin Mừng chúng tôi đã rao giảng cho anh em, thì người đó bị chúc dữ! Như chúng tôi đã nói trước, và giờ đây tôi xin nói lại rằng: Nếu có ai rao giảng cho anh em Tin Mừng khác hơn điều anh em đã lãnh nhận, thì người đó bị chúc dữ!\rGiờ đây, tôi phải làm vừa lòng người ta hay là Thiên Chúa? Nào có phải tôi tìm cách làm vừa lòng người ta sao? Nếu tôi còn làm vừa lòng thiên hạ, thì tôi không phải là đầy tớ của Ðức Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Lc 7, 1-10","info":"“Cả trong dân Israel, Ta cũng chẳng thấy lòng tin mạnh mẽ như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, lúc Chúa Giêsu đã nói với dân chúng xong, Người vào Capharnaum. Bấy giờ một viên sĩ quan có tên đầy tớ thân tín bị bệnh gần chết, nghe nói về Chúa Giêsu, ông sai vài người kỳ lão Do-thái đi xin Người đến cứu chữa đầy tớ ông. Họ đến gần Chúa Giêsu và van xin Người rằng: “Ông ta đáng được Thầy ban cho ơn đó, vì thật ông yêu mến dân ta, và chính ông đã xây cất hội đường cho chúng ta”. Chúa Giêsu đi với họ, và khi Người còn cách nhà viên sĩ quan không bao xa, thì ông này sai mấy người bạn đến thưa Người rằng: “Lạy Thầy, không dám phiền Thầy hơn nữa, vì tôi không xứng đáng được Thầy vào nhà tôi, cũng như tôi nghĩ tôi không xứng đáng đi mời Thầy, nhưng xin Thầy phán một lời, thì đầy tớ tôi được lành mạnh. Vì tôi chỉ là một sĩ quan cấp dưới, tôi cũng có những lính dưới quyền tôi, tôi bảo người này đi, thì nó đi; tôi bảo người khác lại, thì nó lại; và bảo đầy tớ tôi làm cái này thì nó làm”. Nghe nói thế, Chúa Giêsu ngạc nhiên và quay lại nói với đám đông theo Người rằng: “Ta nói thật với các ngươi, cả trong dân Israel, Ta cũng chẳng thấy lòng tin mạnh mẽ như vậy”. Và những người được sai đi, khi về tới nhà, thấy tên đầy tớ (đã) lành mạnh.","end":"Ðó là lời Chúa"}}},
+        "5100": {"A":{"firstReading":{"excerpt":"Hs 6, 3b-6","info":"“Ta muốn tình yêu, chớ không muốn hy lễ”.","title":"Trích sách Tiên tri Hôsê.","content":"Chúng ta hãy nhận biết Chúa và hãy ra sức nhận biết Chúa. Người sẵn sàng xuất hiện như vừng đông, và sẽ đến cùng chúng ta như mưa thuận và như mưa xuân trên mặt đất.\rHỡi Ephraim, Ta sẽ làm gì cho ngươi? Hỡi Giuđa, Ta sẽ làm gì cho ngươi? Tình thương các ngươi như đám mây ban sáng, như sương sớm tan đi. Vì thế, Ta dùng các tiên tri nghiêm trị chúng, và Ta dùng lời từ miệng Ta phán ra mà giết chúng. Án phạt các ngươi bừng lên như ánh sáng. Vì chưng, Ta muốn tình yêu, chớ không muốn hy lễ. Ta muốn sự hiểu biết Thiên Chúa hơn là của lễ toàn thiêu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 1 và 8. 12-13. 14-15","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa Cứu độ (c. 23b).","verses":["Xướng: Chúa là Thiên Chúa đã lên tiếng kêu gọi địa cầu, từ chỗ mặt trời mọc lên tới nơi lặn xuống. Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn.","Xướng: Nếu Ta đói, Ta không cần phải nói với ngươi, vì Ta là chủ địa cầu và mọi cái chứa đầy trong đó. Phải chăng Ta thèm ăn thịt bò, hay là Ta thèm uống tiết dê ư?","Xướng: Hãy hiến dâng Thiên Chúa lời khen ngợi, và làm trọn điều khấn hứa cùng Ðấng Tối Cao. Ngươi hãy kêu cầu Ta trong ngày khốn khó, Ta sẽ giải thoát ngươi và ngươi sẽ kính trọng Ta."]},"secondReading":{"excerpt":"Rm 4, 18-25","info":"“Ông vững tin mà làm sáng danh Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, mặc dầu Abraham tuyệt vọng, ông vẫn tin rằng mình sẽ trở thành cha nhiều dân tộc, như có lời đã phán với ông rằng: “Dòng dõi ngươi sẽ như thế”. Và lòng tin ông không nao núng, mặc dầu ông nhìn đến thân xác cằn cỗi của mình – vì ông đã gần trăm tuổi-, và tuổi già tàn tạ của Sara. Ông đã không cứng lòng hồ nghi lời hứa của Thiên Chúa, trái lại, ông vững tin mà làm sáng danh Thiên Chúa, ông biết chắc chắn rằng Thiên Chúa có quyền năng thi hành điều Người đã hứa. Bởi đấy, “việc đó đã được kể cho ông là sự công chính”.\rVì khi chép rằng: “Ðã được kể cho ông”, thì không phải chỉ chép vì ông mà thôi, mà vì chúng ta nữa, là những kẻ tin vào Ðấng đã cho Ðức Giêsu Kitô, Chúa chúng ta, từ cõi chết sống lại, Người đã bị nộp vì tội lỗi chúng ta, và đã sống lại để chúng ta được công chính hoá.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Mt 9, 9-13","info":"“Ta không đến để kêu gọi người công chính, nhưng kêu gọi người tội lỗi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đi ngang qua, thấy một người ngồi ở bàn thu thuế, tên là Matthêu. Người phán bảo ông: “Hãy theo Ta”. Ông ấy đứng dậy đi theo Người. Và xảy ra là khi Người ngồi dùng bữa trong nhà, thì có nhiều người thu thuế và tội lỗi đến ngồi đồng bàn cùng Chúa Giêsu và các môn đệ của Người. Những người biệt phái thấy vậy, liền nói với các môn đệ Người rằng: “Tại sao Thầy các ông lại ăn uống với những người thu thuế và tội lỗi như thế?” Nghe vậy, Chúa Giêsu bảo rằng: “Người lành mạnh không cần đến thầy thuốc, nhưng là người đau yếu! Các ông hãy đi học xem lời này có ý nghĩa gì: ‘Ta muốn lòng nhân từ, chớ không phải là hy lễ’. Vì Ta không đến để kêu gọi người công chính, nhưng kêu gọi người tội lỗi”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"St 3,9-15","info":"“Ta sẽ gây mối thù giữa dòng giống mi và dòng giống người đàn bà”.","title":"Trích sách Sáng thế.","content":"Sau khi con người ăn trái cây biết lành biết dữ, Ðức Chúa là Thiên Chúa gọi con người và hỏi: “Ngươi ở đâu?” Con người thưa: “Con nghe thấy tiếng Ngài trong vườn, con sợ hãi vì con trần truồng, nên con lẫn trốn”. Ðức Chúa là Thiên Chúa hỏi: “Ai đã cho ngươi biết là ngươi trần truồng? Có phải ngươi đã ăn trái cây mà Ta đã cấm ngươi ăn không?” Con người thưa: “Người đàn bà Ngài cho ở với con, đã cho con trái cây ấy, nên con ăn”. Ðức Chúa là Thiên Chúa hỏi người đàn bà: “Ngươi đã làm gì thế?” Người đàn bà thưa: “Con rắn đã lừa dối con, nên con ăn”. Ðức Chúa là Thiên Chúa phán với con rắn:\r“Mi đã làm điều đó, nên mi đáng bị nguyền rủa nhất\rtrong mọi loài súc vật và mọi loài dã thú.\rTa sẽ gây mối thù giữa mi và người đàn bà,\rgiữa dòng giống mi và dòng giống người ấy;\rdòng giống đó sẽ đánh vào đầu mi, và mi sẽ cắn vào gót nó”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 129, 1-2.3-4.5-6a.6b-8","response":"Ðáp: Chúa luôn luôn từ ái một niềm, ơn cứu chuộc nơi Người chan chứa. (c. 7bc)","verses":["Xướng: Từ vực thẳm, con kêu lên Ngài, lạy Chúa, muôn lạy Chúa, xin Ngài nghe tiếng con. Dám xin Ngài lắng tai để ý nghe lời con tha thiết nguyện cầu.","Xướng: Ôi lạy Chúa, nếu như Ngài chấp tội, nào có ai đứng vững được chăng? Nhưng Chúa vẫn rộng lòng tha thứ để chúng con biết kính sợ Ngài.","Xướng: Mong đợi Chúa, tôi hết lòng mong đợi, cậy trông ở lời Người. Hồn tôi trông chờ Chúa, hơn lính canh mong đợi hừng đông.","Xướng: Hơn lính canh mong đợi hừng đông, trông cậy Chúa đi, Ítraen hỡi, bởi Chúa luôn từ ái một niềm, ơn cứu chuộc nơi Người chan chứa. Chính Người sẽ cứu chuộc Ítraen cho thoát khỏi tội khiên muôn vàn."]},"secondReading":{"excerpt":"2Cr 4,13 – 5,1","info":"“Chúng tôi tin, nên chúng tôi mới nói”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Thưa anh em, có được cùng một lòng tin, như đã chép: Tôi đã tin, nên tôi mới nói, thì chúng tôi cũng tin, nên chúng tôi mới nói. Quả thật, chúng tôi biết rằng: Ðấng đã làm cho Chúa Giêsu trỗi dậy, cũng sẽ làm cho chúng tôi được trỗi dậy với Chúa Giêsu, và đặt chúng tôi bên hữu Người cùng với anh em. Thật vậy, tất cả những điều ấy xảy ra là vì anh em. Như thế, ân sủng càng dồi dào, thì càng có đông người hơn dâng lên Thiên Chúa muôn ngàn lời cảm tạ, để tôn vinh Người.\rCho nên chúng tôi không chán nản. Trái lại, dù con người bên ngoài của chúng tôi có tiêu tan đi, thì con người bên trong của chúng tôi ngày càng đổi mới. Thật vậy, một chút gian truân tạm thời trong hiện tại sẽ mang lại cho chúng ta cả một khối vinh quang vô tận tuyệt vời. Vì thế, chúng ta mới không chú tâm đến những sự vật hữu hình, nhưng đến những thực tại vô hình. Quả vậy, những sự vật hữu hình thì chỉ tạm thời, còn những thực tại vô hình mới tồn tại vĩnh viễn.\rQuả thật, chúng ta biết rằng: nếu ngôi nhà của chúng ta ở dưới đất, là chiếc lều này, bị phá hủy đi, thì chúng ta có một nơi ở do Thiên Chúa dựng lên, một ngôi nhà vĩnh cửu ở trên trời, không do tay người thế làm ra.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 12,31b-32","content":"Alleluia, Alleluia – Chúa nói: Giờ đây thủ lãnh thế gian này sắp bị tống ra ngoài! Phần tôi, một khi được giương cao lên khỏi mặt đất, tôi sẽ kéo mọi người lên với tôi. – Alleluia."},"gospel":{"excerpt":"Mc 3,20-35","info":"“Xatan đã tận số”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Ðức Giêsu và các môn đệ trở về nhà, và đám đông lại kéo đến, nên Người và các môn đệ không sao ăn uống được. Thân nhân của Người hay tin ấy, liền đi bắt Người, vì họ nói rằng Người đã mất trí.\rCòn các kinh sư từ Giêrusalem xuống thì lại nói rằng Người bị quỷ vương Bê-en-dê-bun ám, và người dựa thế quỷ vương mà trừ quỷ. Ðức Giêsu liền gọi họ đến, dùng dụ ngôn mà nói với họ: “Xatan làm sao trừ Xatan được? Nước nào tự chia rẽ, nước ấy không thể bền; nhà nào tự chia rẽ, nhà ấy không thể vững. Vậy Xatan mà chống Xatan, Xatan mà tự chia rẽ, thì không thể tồn tại, nhưng đã tận số. Không ai có thể vào nhà kẻ mạnh mà cướp của được, nếu không trói kẻ mạnh ấy trước đã, rồi mới cướp sạch nhà nó.\r“Tôi bảo thật các ông: mọi tội lỗi và lời phạm thượng, dù nói phạm thượng nhiều đến mấy đi nữa, thì cũng sẽ được tha cho con cái loài người. Nhưng ai nói phạm đến Thánh Thần, thì chẳng đời nào được tha, mà còn mắc tội muôn đời”. Ðó là vì họ đã nói: “Ông ấy bị thần ô uế ám”.\rMẹ và anh em Ðức Giêsu đến, đứng ở ngoài, cho gọi Người ra. Lúc ấy, đám đông đang ngồi chung quanh Người. Có kẻ nói với Người rằng: “Thưa Thầy, có mẹ và anh em chị em Thầy ở ngoài kia đang tìm Thầy!” Nhưng Người đáp lại: “Ai là mẹ tôi? Ai là anh em tôi?” Rồi Người rảo mắt nhìn những kẻ ngồi chung quanh và nói: “Ðây là mẹ tôi, đây là anh em tôi. Ai thi hành ý muốn của Thiên Chúa, người ấy là anh em chị em tôi, là mẹ tôi”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"1 V 17, 17-24","info":"“Ðây, con trai bà sống lại rồi đây”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, con trai bà chủ nhà đau liệt, cơn bệnh nguy kịch đến nỗi chẳng còn hơi thở. Bà ấy liền nói với Êlia rằng: “Thưa người của Thiên Chúa, giữa tôi với ông có liên can gì? Ông đến nhà tôi để khơi lại những tội của tôi và giết chết con tôi sao?” Êlia đáp lại: “Bà hãy giao con bà cho tôi”. Rồi ông bế lấy đứa trẻ từ lòng mẹ nó, mang lên trên lầu nơi ông cư trú và đặt nó lên giường ông. Ðoạn ông kêu lên cùng Chúa rằng: “Lạy Chúa là Thiên Chúa của con, cớ sao Chúa giáng hoạ, giết con trai bà chủ nhà, nơi con cư ngụ đây?” Ông ấp mình ba lần trên đứa trẻ và kêu lên cùng Chúa rằng: “Lạy Chúa là Thiên Chúa của con, con xin Chúa cho linh hồn đứa trẻ này trở về trong nó”. Và Chúa nhậm lời Êlia, cho hồn nhập lại đứa trẻ, và nó sống lại. Êlia liền ẵm đứa trẻ xuống nhà dưới, trao lại cho mẹ nó và nói rằng: “Ðây, con trai bà sống lại rồi đây”. Bà ta thưa cùng Êlia rằng: “Bây giờ nhờ việc này, tôi biết rõ ông là người của Thiên Chúa, và lời của Chúa nơi miệng ông là lời chân thật”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b.","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con (c. 2a).","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Ngài đã đưa linh hồn con thoát xa Âm phủ, Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Chúa, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ lâu trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời. Chiều hôm có gặp cảnh lệ rơi, nhưng sáng mai lại được mừng vui hoan hỉ.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con; lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con; lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"secondReading":{"excerpt":"Gl 1, 11-19","info":"“Người đã mạc khải cho tôi biết Con của Người, để tôi rao giảng Người cho dân ngoại”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, tôi cho anh em biết rằng Tin Mừng do tôi rao giảng không phải thuộc về loài người, vì tôi không nhận, cũng không học với loài người, nhưng là do Ðức Giêsu Kitô mạc khải. Anh em nghe nói về đời sống của tôi trước kia khi theo đạo Do-thái: tôi đã bắt bớ và phá hoại Hội thánh của Thiên Chúa thái quá. Trong đạo Do-thái, tôi đã vượt hẳn nhiều bạn đồng giống nòi, đồng tuổi với tôi, và tôi nhiệt thành hơn bất cứ ai đối với truyền thống của cha ông tôi.\rNhưng khi Ðấng tách riêng tôi ra từ lòng mẹ và dùng ơn Người mà kêu gọi tôi, đã thương mạc khải Con Người trong tôi, để tôi rao giảng Ngài trong các dân ngoại, thì không lúc nào tôi bàn hỏi người xác thịt máu huyết, và tôi không lên Giêrusalem, để gặp các vị làm tông đồ trước tôi, nhưng tôi đi ngay đến Arabia, rồi lại trở về Ðamas. Ðoạn ba năm sau, tôi mới lên Giêrusalem để gặp Phêrô, và lưu lại với ông mười lăm ngày. Tôi không gặp một tông đồ nào khác, ngoài Giacôbê, anh em của Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 4b","content":"Alleluia, Alleluia – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 7, 11-17","info":"“Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đến một thành gọi là Naim. Các môn đệ và đám đông dân chúng cùng đi với Người. Khi Người đến gần cửa thành, thì gặp người ta đang khiêng đi chôn người con trai duy nhất của một bà goá kia, và có đám đông dân thành đi đưa xác với mẹ nó. Trông thấy bà, Chúa động lòng thương và bảo bà rằng: “Ðừng khóc nữa”. Ðoạn tiến lại gần, Người chạm đến quan tài và những người khiêng đứng lại. Bấy giờ Người phán: “Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”. Người chết liền ngồi lên và bắt đầu nói. Rồi Người trao lại cho mẹ nó. Mọi người đều sợ hãi và ngợi khen Thiên Chúa rằng: “Một tiên tri cao cả đã xuất hiện giữa chúng ta, và Thiên Chúa đã thăm viếng dân Người”. Và việc này đã loan truyền danh tiếng Người trong toàn cõi Giuđêa và khắp vùng lân cận.","end":"Ðó là lời Chúa"}}},
+        "5110": {"A":{"firstReading":{"excerpt":"Xh 19, 2-6a","info":"“Ðối với Ta, các ngươi sẽ là một vương quốc tư tế, một dân tộc hiến thánh”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, con cái Israel đi đến hoang địa Sinai, và đóng trại ở đó. Israel cũng dựng nhà xếp trên triền núi. Còn Môsê thì lên cùng Thiên Chúa. Từ trên núi, Chúa gọi ông và bảo: “Ngươi hãy nói với nhà Giacóp và thông báo cho con cái Israel thế này: Chính các ngươi đã thấy những gì Ta làm cho người Ai-cập. Ta đã mang các ngươi trên cánh phượng hoàng và đem các ngươi đến với Ta. Từ nay, nếu các ngươi nghe lời Ta và giữ giao ước Ta, thì các ngươi sẽ là sở hữu của Ta được tách biệt khỏi mọi dân, vì cả trái đất là của Ta. Ðối với Ta, các ngươi sẽ là một vương quốc tư tế, một dân tộc hiến thánh”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 5","response":"Ðáp: Ta là dân tộc, là đoàn chiên Chúa chăn nuôi (c. 3c).","verses":["Xướng: Hãy phụng sự Chúa với niềm vui vẻ, hãy vào trước thiên nhan với lòng hân hoan khoái trá.","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người; ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Vì chưng Chúa thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín còn tới muôn muôn thế hệ."]},"secondReading":{"excerpt":"Rm 5, 6-11","info":"“Nếu chúng ta được giao hoà cùng Thiên Chúa nhờ cái chết của Con Ngài, ắt chúng ta sẽ được cứu độ trong sự sống của Ngài”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, Chúa Kitô theo kỳ hẹn đã chịu chết vì chúng ta là kẻ tội lỗi. Ít có ai chết thay người công chính, hoạ chăng có những người dám chết vì kẻ lành. Nhưng Thiên Chúa chứng tỏ tình yêu của Người đối với chúng ta, nghĩa là trong lúc chúng ta còn là tội nhân, thì theo kỳ hẹn, Chúa Kitô đã chết vì chúng ta. Vậy phương chi bây giờ, chúng ta đã nên công chính trong máu của Người, và nhờ Người chúng ta sẽ được cứu khỏi cơn thịnh nộ. Bởi chưng, nếu khi chúng ta còn là thù nghịch, mà chúng ta đã được giao hoà cùng Thiên Chúa nhờ cái chết của Con Ngài, thì huống chi khi đã được giao hoà, ắt chúng ta sẽ được cứu độ trong sự sống của chính Chúa Kitô, và không những thế, chúng ta còn được vinh hiển trong Thiên Chúa nhờ Ðức Giêsu Kitô, Chúa chúng ta, nhờ Người mà bây giờ chúng ta được lãnh ơn giao hoà.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời của Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 9, 36 – 10, 8","info":"“Sau khi triệu tập mười hai môn đệ, Người sai các ông đi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đoàn lũ dân chúng, liền động lòng xót thương họ: vì họ tất tưởi bơ vơ như những con chiên không có người chăn, Người liền bảo môn đệ rằng: “Lúa chín đầy đồng, mà thợ gặt thì ít. Các con hãy xin chủ ruộng sai thợ đi gặt lúa”.\rVà Người liền triệu tập mười hai môn đệ, ban cho họ quyền năng trên các thần ô uế, để họ xua đuổi chúng, và chữa lành mọi bệnh hoạn tật nguyền. Ðây là tên của mười hai tông đồ: trước hết là Simon cũng gọi là Phêrô, rồi đến Anrê em ông; Giacôbê con của Giêbêđê và Gioan em ông; Philipphê và Bartôlômêô; Tôma và Matthêu người thu thế; Giacôbê con của Alphê và Tađêô; Simon người Cananêô và Giuđa Iscariốt, kẻ nộp Người. Chúa Giêsu sai mười hai ông này đi và truyền lệnh cho các ông rằng:\r“Các con đừng đi về phía dân ngoại, và đừng vào thành các người Samaritanô. Nhưng tốt hơn, các con hãy đi đến cùng chiên lạc của nhà Israel trước đã, và rao giảng rằng: “Nước Trời đã đến gần”. Hãy chữa lành người liệt, phục sinh kẻ chết, chữa lành người phung, và xua trừ ma quỷ. Các con đã lãnh nhận nhưng không, thì hãy cho nhưng không”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ed 17, 22-24","info":"“Ta hạ thấp cây cao và nâng cao cây thấp”.","title":"Trích sách ngôn sứ Êdêkien.","content":"Ðức Chúa là Chúa Thượng phán như sau:\rTừ ngọn cây, từ ngọn hương bá cao chót vót, Ta sẽ lấy, sẽ ngắt một chồi non; chính Ta sẽ trồng nó trên đỉnh núi cao vòi vọi. Ta sẽ trồng nó trên núi cao của Ít-ra-en.\rNó sẽ trổ cành và kết trái thành một cây hương bá huy hoàng. Muông chim đến nương mình bên nó, và ẩn thân dưới bóng lá cành. Tất cả cây cối ngoài đồng ruộng sẽ nhận biết chính Ta là Ðức Chúa.\rTa hạ thấp cây cao và nâng cao cây thấp, Ta làm cho cây xanh tươi phải khô héo và cây khô héo được xanh tươi.\rChính Ta là Ðức Chúa, Ta đã phán là Ta thực hiện.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 91, 2-3.13-14.15-16","response":"Ðáp: Lạy Chúa, hạnh phúc thay được tạ ơn Ngài (c. 2a).","verses":["Xướng: Thú vị thay được tạ ơn Chúa, được mừng hát danh Ngài, lạy Ðâng Tối Cao, được tuyên xưng tình thương của Ngài từ buổi sớm và lòng thành tín của Ngài suốt canh khuya.","Xướng: Người công chính vươn lên tựa cây dừa tươi tốt, lớn mạnh như hương bá Li-băng được trồng nơi nhà Chúa, mơn mởn giữa khuôn viên đền thánh Chúa Ta.","Xướng: Già cỗi rồi, vẫn sinh hoa kết quả, tràn đầy nhựa sống, cành lá xanh rờn, để loan truyền rằng: Chúa thực là ngay thẳng, là núi đá cho tôi ẩn náu, nơi Người chẳng có chút bất công."]},"secondReading":{"excerpt":"2Cr 5,6-10","info":"“Dù còn ở trong thân xác, hoặc đã lìa bỏ thân xác, chúng tôi chỉ có một tham vọng là làm đẹp lòng Chúa”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Thưa anh em, chúng tôi luôn mạnh dạn, và chúng tôi biết rằng: ở lại trong thân xác này là lưu lạc xa Chúa, vì chúng ta tiến bước nhờ lòng tin chứ không phải nhờ được thấy Chúa... Vậy, chúng tôi luôn mạnh dạn, và điều chúng tôi thích hơn, đó là lìa bỏ thân xác để được ở bên Chúa. Nhưng, dù còn ở trong thân xác hoặc đã lìa bỏ thân xác, chúng tôi chỉ có một tham vọng là làm đẹp lòng Người. Vì tất cả chúng ta đều phải được đưa ra ánh sáng, trước tòa Ðức Ki-tô, để mỗi người lãnh nhận những gì tương xứng với các việc tốt hay xấu đã làm, khi còn ở trong thân xác.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Hạt giống là lời Thiên Chúa, người gieo giống là Ðức Ki-tô. Ai tuân giữa lời Người, sẽ muôn đời tồn tại. – Alleluia."},"gospel":{"excerpt":"Mc 4, 26-34","info":"Tin Mừng Chúa Giêsu Kitô theo Thánh Mác-cô.","title":"Khi ấy, Ðức Giêsu nói với dân chúng dụ ngôn này: “Chuyện Nước Thiên Chúa thì cũng tựa như chuyện một người vãi hạt giống xuống đất. Ðêm hay ngày, người ấy ngủ hay thức, hạt giống vẫn nẩy mầm và mọc lên, bằng cách nào, thì người ấy không biết. Ðất tự động sinh hoa kết quả: trước hết cây lúa mọc lên, rồi trổ đòng đòng, và sau cùng là thành bông lúa nặng trĩu hạt. Lúa vừa chín, người ấy đem liềm ra gặt, vì đã đến mùa.”","content":"Rồi Người lại nói: “Chúng ta ví Nước Thiên Chúa với cái gì đây? Lấy dụ ngôn nào mà hình dung được? Nước Thiên Chúa giống như hạt cải, lúc gieo xuống đất, nó là loại nhỏ nhất trong các hạt giống trên mặt đất. Nhưng khi gieo rồi, thì nó mọc lên lớn hơn mọi thứ rau cỏ, cành lá xum xuê, đến nỗi chim trời có thể làm tổ dưới bóng.”\rNgười dùng nhiều dụ ngôn tương tự mà giảng lời cho họ, tùy theo mức họ có thể nghe. Người không bao giờ nói với họ mà không dùng dụ ngôn. Nhưng khi có thầy trò với nhau, thì Người giải nghĩa hết.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"2 Sm 12, 7-10. 13","info":"“Chúa cũng đã tha tội cho vua rồi và vua sẽ không phải chết”.","title":"Trích sách Samuel quyển thứ hai.","content":"Trong những ngày ấy, Nathan thưa cùng Ðavít rằng: “Ngài chính là người đó”. Chúa là Thiên Chúa Israel phán rằng: “Ta đã xức dầu phong cho ngươi làm vua Israel và đã cứu ngươi khỏi tay Saolê. Ta đã ban cho ngươi nhà của chủ ngươi, trao cả cung phi của chủ ngươi vào lòng ngươi. Và tặng cho ngươi nhà Israel và Giuđa. Nếu bấy nhiêu đó còn ít, Ta cho ngươi thêm nhiều nữa. Vậy tại sao ngươi khinh thường lời Chúa mà làm điều gian ác trước mặt Ta? Ngươi đã dùng gươm giết Uria người Hêthê và bắt vợ y làm vợ mình, ngươi còn dùng gươm con cái Ammon mà giết y nữa. Do đó, lưỡi gươm sẽ không rời khỏi dòng dõi ngươi cho đến muôn đời, vì ngươi đã khinh dể Ta, và cướp vợ của Uria người Hêthê làm vợ mình”. Ðavít liền nói với Nathan rằng: “Trẫm đã phạm tội cùng Chúa”. Nathan thưa lại Ðavít rằng: “Chúa cũng đã tha tội cho vua rồi, và vua sẽ không phải chết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 31, 1-2. 5. 7. 11","response":"Ðáp: Lạy Chúa, Chúa đã tha thứ tội lỗi cho con (c. 5c).","verses":["Xướng: Phúc thay người được tha thứ lỗi lầm, và tội phạm của người được ơn che đậy! Phúc thay người mà Chúa không trách cứ lỗi lầm, và trong lòng người đó chẳng có mưu gian.","Xướng: Tôi xưng ra cùng Chúa tội phạm của tôi, và lỗi lầm của tôi, tôi đã không che giấu. Tôi nói: Tôi thú thực cùng Chúa điều gian ác của tôi, và Chúa đã tha thứ tội lỗi cho tôi.","Xướng: Chúa là chỗ dung thân, Chúa giữ tôi khỏi điều nguy khổ, Chúa đùm bọc tôi trong niềm vui ơn cứu độ.","Xướng: Chư vị hiền nhân, hãy vui mừng hân hoan trong Chúa, và mọi người lòng ngay hãy hớn hở reo mừng!"]},"secondReading":{"excerpt":"Gl 2, 16. 19-21","info":"“Không phải tôi sống, mà là chính Ðức Kitô sống trong tôi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, anh em biết rằng con người được công chính hoá không phải do các việc làm của lề luật dạy, nhưng chỉ là nhờ lòng tin vào Ðức Giêsu Kitô. Nên chúng ta đã tin vào Ðức Giêsu Kitô để được công chính hoá do lòng tin vào Ðức Kitô, chớ không phải do các việc làm của lề luật dạy. Do đó, không một ai được công chính hoá do các việc làm của lề luật dạy. Quả vậy, phần tôi, chính do lề luật mà tôi đã chết cho lề luật, để được sống cho Thiên Chúa. Tôi đã chịu đóng đinh vào thập giá làm một với Ðức Kitô. Tôi sống, nhưng không phải tôi sống, mà là chính Ðức Kitô sống trong tôi. Hiện giờ tôi sống trong thân xác, là tôi sống trong lòng tin vào Con Thiên Chúa, Ðấng đã yêu mến tôi và đã phó mình vì tôi. Tôi không loại bỏ ơn Thiên Chúa. Nhưng nếu có sự công chính nào bởi lề luật, thì quả thực Ðức Kitô đã chết cách luống công.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến, bình an trên trời, và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Lc 7, 36-50 {hoặc Lc 7, 36 – 8, 3}","info":"“Tội bà rất nhiều mà đã được tha rồi, vì bà đã yêu mến nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có một người biệt phái kia mời Chúa Giêsu đến dùng bữa với mình; Người vào nhà người biệt phái và vào bàn ăn. Chợt có một người đàn bà tội lỗi trong thành, nghe biết Người đang dùng bữa trong nhà người biệt phái, liền mang đến một bình bạch ngọc đựng thuốc thơm. Bấy giờ bà đứng phía chân Người khóc nức nở, nước mắt ướt đẫm chân Người, bà lấy tóc lau, rồi hôn chân và xức thuốc thơm. Thấy thế, người biệt phái đã mời Người nghĩ thầm rằng: “Nếu ông này là tiên tri thì phải biết người đàn bà đang động đến mình là ai và thuộc hạng người nào: là một người tội lỗi”. Nhưng Chúa Giêsu lên tiếng bảo ông rằng: “Hỡi Simon, Tôi có điều muốn nói với ông”. Simon thưa: “Xin Thầy cứ nói”.\r– “Một người chủ nợ có hai con nợ, một người nợ năm trăm đồng, người kia nợ năm mươi. Vì cả hai không có gì trả, nên chủ nợ tha cho cả hai. Vậy trong hai người đó, người nào sẽ yêu chủ nợ nhiều hơn?” Simon đáp: “Tôi nghĩ là kẻ đã được tha nhiều hơn”. Chúa Giêsu bảo ông: “Ông đã xét đoán đúng”. Và quay lại phía người đàn bà, Người bảo Simon: “Ông thấy người đàn bà này chứ? Tôi đã vào nhà ông, ông đã không đổ nước rửa chân Tôi; còn bà này đã lấy nước mắt rửa chân Tôi, rồi lấy tóc mình mà lau. Ông đã không hôn chào Tôi, còn bà này từ lúc vào không ngớt hôn chân Tôi. Ông đã không xức dầu trên đầu Tôi, còn bà này đã lấy thuốc thơm xức chân Tôi. Vì vậy, Tôi bảo ông, tội bà rất nhiều mà đã được tha rồi, vì bà đã yêu mến nhiều. Kẻ được tha ít, thì yêu mến ít”.\rRồi Người bảo người đàn bà: “Tội con đã được tha rồi”. Những người đồng bàn liền nghĩ trong lòng rằng: “Ông này là ai mà lại tha tội được?” Và Người nói với người đàn bà: “Ðức tin con đã cứu con, con hãy về bình an”.\r{Sau đó Người rảo qua các thành thị và xóm làng, giảng dạy và loan báo Nước Thiên Chúa. Có nhóm Mười Hai cùng đi với Người, cũng có cả mấy người phụ nữ đã được chữa khỏi tà thần và bệnh tật: Maria gọi là Mađalêna, đã được chữa khỏi bảy quỷ ám, Gioanna vợ của Cusa viên quản lý của Hêrôđê, Susanna và nhiều bà khác: họ đã lấy của cải mình mà giúp Người.}","end":"Ðó là lời Chúa"}}},
+        "5120": {"A":{"firstReading":{"excerpt":"Gr 20, 10-13","info":"“Người đã cứu thoát mạng sống người bất hạnh khỏi tay kẻ dữ”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ta đã nghe nhiều người thoá mạ và chế nhạo rằng: “Người này gieo khủng bố khắp nơi: Hãy tố cáo nó, chúng ta hãy tố cáo nó”. Tất cả bạn hữu tôi rình tôi vấp ngã mà nói rằng: “Ước gì nó bị lừa dối để chúng ta thắng nó và sẽ trả thù nó”. Nhưng Chúa ở cùng tôi như người lính chiến hùng dũng; vì thế, những kẻ bắt bớ tôi sẽ ngã quỵ và kiệt sức: Chúng sẽ thất bại bẽ bàng, chuốc lấy sự hổ nhục muôn đời, không bao giờ quên được. Còn Chúa, lạy Chúa các đạo binh, Ðấng xét xử người công chính, thấu suốt tâm can, lạy Chúa, ước gì con sẽ được thấy Chúa trả thù nó cho con, vì con đã tỏ bày công việc con cho Chúa. Hãy hát mừng Chúa, hãy ca tụng Chúa, vì Người đã cứu thoát mạng sống người bất hạnh khỏi tay kẻ dữ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 8-10. 14 và 17. 33-35","response":"Ðáp: Lạy Chúa, xin nhậm lời con theo lượng cả đức từ bi (c. 14c).","verses":["Xướng: Sở dĩ vì Chúa mà con chịu nhục, và thẹn thò làm nhơ nhuốc mặt con. Con bị những người anh em coi như khách lạ, bị những người cùng con một mẹ xem như kẻ ngoại lai. Sự nhiệt tâm lo việc nhà Chúa khiến con mòn mỏi, điều tủi nhục người ta nhục mạ Chúa đổ trên mình con. ","Xướng: Nhưng, lạy Chúa, con dâng lời nguyện cầu lên Chúa, ôi Thiên Chúa, đây là lúc biểu lộ tình thương. Xin nhậm lời con theo lượng cả đức từ bi, theo ơn phù trợ trung thành của Chúa. Lạy Chúa, xin nhậm lời con vì lòng khoan nhân trắc ẩn, theo lượng cả đức từ bi xin nhìn đến tấm thân con. ","Xướng: Các bạn khiêm cung, hãy nhìn coi và hoan hỉ, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ, và không chê bỏ con dân Người bị bắt cầm tù. Hãy ngợi khen Chúa, hỡi trời và đất, biển khơi và muôn vật sống động bên trong. "]},"secondReading":{"excerpt":"Rm 5, 12-15","info":"“Không phải như tội phạm thế nào, thì ơn ban cũng thế ấy đâu”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, cũng như do một người mà tội lỗi đã nhập vào thế gian, và do tội lỗi mà có sự chết, và thế là sự chết đã truyền tới mọi người, vì lẽ rằng mọi người đã phạm tội. Trước khi có lề luật, đã có tội trên thế gian; nhưng tội không bị bắt lỗi, khi không có lề luật. Nhưng từ Ađam cho đến Môsê, sự chết ngự trị cả trên những kẻ không phạm tội giống như sự lỗi phạm của Ađam, hình ảnh của người đến sau.\rNhưng không phải như tội phạm thế nào, thì ơn ban cũng thế ấy đâu, vì nếu do tội của một người mà nhiều người phải chết, thì ơn nghĩa của Thiên Chúa và ân huệ ban do ơn một người là Ðức Giêsu Kitô, làm cho nhiều người được ơn dư đầy hơn bội phần.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 17, 17b và a","content":"Alleluia, Alleluia – Chúa phán: “Lời Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia."},"gospel":{"excerpt":"Mt 10, 26-33","info":"“Các con đừng sợ những kẻ giết được thân xác”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Các con đừng sợ những người đó, vì không có gì che giấu mà không bị thố lộ; và không có gì kín nhiệm mà không hề hay biết. Ðiều Thầy nói với các con trong bóng tối, hãy nói nơi ánh sáng; và điều các con nghe rỉ tai, hãy rao giảng trên mái nhà.\r“Các con đừng sợ những kẻ giết được thân xác, nhưng không thể giết được linh hồn: Các con hãy sợ Ðấng có thể ném cả xác lẫn hồn xuống địa ngục. Nào người ta không bán hai chim sẻ với một đồng tiền đó sao? Thế mà không con nào rơi xuống đất mà Cha các con không biết đến. Phần các con, tóc trên đầu các con đã được đếm cả rồi. Vậy các con đừng sợ: các con còn đáng giá hơn chim sẻ bội phần.\r“Vậy ai tuyên xưng Thầy trước mặt người đời, thì Thầy sẽ tuyên xưng nó trước mặt Cha Thầy, là Ðấng ngự trên trời. Còn ai chối Thầy trước mặt người đời, thì Thầy sẽ chối nó trước mặt Cha Thầy, là Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"G 38, 1. 8-11","info":"“Sóng cồn của ngươi phải dừng lại đây”.","title":"Trích sách Gióp.","content":"Bấy giờ từ cơn gió lốc, Chúa đáp lời Gióp rằng: “Khi nước chảy mạnh vỡ bờ như sinh ra bởi lòng mẹ, ai đã lấy cửa mà ngăn lại, lúc Ta lấy mây làm áo che nó, và lấy u tối che phủ nó như khăn bọc con trẻ? Ta đã vạch biên giới chung quanh nó, đã đặt khung cửa và then chốt mà phán rằng: “Ngươi chảy đến đây mà thôi, không được chảy xa nữa và vỗ sóng ba đào cũng phải dừng tại đây”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 106, 23-24. 25-26. 28-29. 30-31","response":"Ðáp: Hãy tán tạ Chúa, bởi đức từ bi Người còn muôn thuở (c. 1). \rHoặc đọc: Alleluia.","verses":["Xướng: Những người xuống tàu vượt biển ra khơi, làm nghề thương mại trên nơi nước cả, họ đã nhìn thấy những kỳ công của Chúa, và những việc huyền diệu của Người ở chỗ thâm uyên.","Xướng: Chúa lên tiếng, và Người đã khiến phong ba nổi dậy, Người đã khiến cho sóng biển dâng cao. Những người đó lên tới trời xanh, xuống lòng biển thẳm, tâm hồn họ bủn rủn trong cảnh gian nguy.","Xướng: Họ đã kêu cầu Chúa trong cơn khốn khó, và Người đã giải thoát họ khỏi chỗ lo âu. Người biến đổi phong ba thành gió thổi hiu hiu, và bao làn sóng biển đều im lặng.","Xướng: Họ mừng vui vì thấy sóng biển yên, và Chúa đã đưa họ cập bến ước mong. Những người đó hãy cảm ơn Chúa vì lòng nhân hậu, và những điều kỳ diệu của Người đối với con người ta!"]},"secondReading":{"excerpt":"2 Cr 5, 14-17","info":"“Ðây mọi cái mới đã được tạo dựng”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, lòng mến của Ðức Kitô thúc bách chúng ta; chúng ta xác tín điều này là một người đã chết vì mọi người, vậy mọi người đều đã chết. Và Ðức Kitô đã chết thay cho mọi người, để những ai đang sống, thì không còn sống cho chính mình nữa, mà là sống cho Ðấng đã chết và sống lại vì họ.\rVì thế, từ nay chúng ta không còn biết ai theo xác thịt nữa. Mặc dù nếu chúng ta đã biết Ðức Kitô theo xác thịt, thì giờ đây chúng ta không còn biết như thế nữa. Vậy nếu ai đã trở nên một tạo vật mới trong Ðức Kitô, thì những gì cũ đã qua rồi, vì đây mọi sự đều được trở nên mới.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia, Alleluia – Ngôi Lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 4, 35-40","info":"“Người là ai mà cả gió lẫn biển cũng đều vâng lệnh Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Ngày ấy, khi chiều đến, Chúa Giêsu phán cùng các môn đệ rằng: “Chúng ta hãy sang bên kia biển hồ”. Các ông giải tán đám đông; vì Người đang ở dưới thuyền, nên các ông chở Người đi. Cũng có nhiều thuyền khác theo Người. Chợt có một cơn bão lớn và những lớp sóng ùa vào thuyền đến nỗi sắp đầy nước. Và Người thì ở đàng lái dựa gối mà ngủ. Các ông đánh thức Người và nói: “Thưa Thầy, chúng con chết mất mà Thầy không quan tâm đến sao?” Chỗi dậy, Người đe gió và phán với biển rằng: “Hãy im đi, hãy lặng đi”. Tức thì gió ngừng biển lặng như tờ. Rồi Người nói với các ông: “Sao các con sợ hãi thế? Các con không có đức tin ư?” Bấy giờ các ông kinh hãi và nói với nhau rằng: “Người là ai mà cả gió lẫn biển cũng đều vâng lệnh Người?”","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Dcr 12, 10-11","info":"“Họ sẽ nhìn thấy Ðấng họ đã đâm thâu qua”.","title":"Trích sách Tiên tri Dacaria.","content":"Ðây Chúa phán: “Ta sẽ gieo rắc tinh thần ân phúc và cầu nguyện trên nhà Ðavít và trên dân cư Giêrusalem. Họ sẽ ngước mắt nhìn Ta, Ðấng họ đã đâm thâu qua: họ sẽ khóc than người, như khóc than con một, họ sẽ thương tiếc người như quen thương tiếc đứa con đầu lòng đã chết.\rTrong ngày đó, tại Giêrusalem sẽ có tiếng khóc than to lớn, như khóc than Ađadremmon trong cánh đồng Magêđđô”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 8-9","response":"Ðáp: Lạy Chúa là Thiên Chúa con, linh hồn con khát khao Chúa (c. 2b).","verses":["Xướng: Ôi lạy Chúa, Chúa là Thiên Chúa của con, con thao thức chạy kiếm Ngài. Linh hồn con khát khao, thể xác con mong đợi Chúa con, như đất héo khô, khát mong mà không gặp nước!","Xướng: Con cũng mong được chiêm ngưỡng thiên nhan ở thánh đài, để nhìn thấy quyền năng và vinh quang của Chúa. Vì ân tình của Ngài đáng chuộng hơn mạng sống, miệng con sẽ xướng ca ngợi khen Ngài.","Xướng: Con sẽ chúc tụng Ngài như thế trọn đời con, con sẽ giơ tay kêu cầu danh Chúa. Hồn con được no thoả dường như bởi mỹ vị cao lương, và miệng con ca ngợi Chúa với cặp môi hoan hỉ.","Xướng: Vì Chúa đã ra tay trợ phù con, để con được hoan hỉ núp trong bóng cánh của Ngài. Linh hồn con bám thân vào Chúa, và tay hữu Chúa nâng đỡ người con."]},"secondReading":{"excerpt":"Gl 3, 26-29","info":"“Anh em đã chịu phép rửa tội, nên anh em đã mặc lấy Ðức Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, tất cả anh em đều là con cái Thiên Chúa nhờ tin vào Ðức Giêsu Kitô. Vì chưng tất cả anh em đã chịu phép rửa tội trong Ðức Kitô, nên anh em đã mặc lấy Ðức Kitô. Nay không còn phân biệt người Do-thái và Hy-lạp, người nô lệ và tự do, người nam và người nữ: vì tất cả anh em là một trong Ðức Giêsu Kitô. Nhưng nếu anh em thuộc về Ðức Kitô, thì anh em là dòng dõi Abraham, những kẻ thừa tự như lời đã hứa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Lc 9, 18-24","info":"“Thầy là Ðấng Kitô của Thiên Chúa. Con Người phải chịu nhiều đau khổ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Việc xảy ra là khi Chúa Giêsu cầu nguyện riêng một nơi, và có các môn đệ ở với Người, thì Người hỏi các ông rằng: “Những đám dân chúng bảo Thầy là ai?” Các ông thưa rằng: “Người thì bảo là Gioan Tẩy Giả, kẻ khác lại cho là Êlia, còn người khác thì cho là một trong các tiên tri thời xưa đã sống lại”. Người lại hỏi các ông rằng: “Phần các con, các con bảo Thầy là ai?” Simon Phêrô thưa rằng: “Thầy là Ðấng Kitô của Thiên Chúa”. Và Người ngăn cấm các ông không được nói điều đó với ai mà rằng: “Con Người phải chịu nhiều đau khổ, bị các kỳ lão, các thượng tế, và các luật sĩ từ bỏ và giết chết, nhưng ngày thứ ba sẽ sống lại”.\rNgười lại phán cùng mọi người rằng: “Ai muốn theo Ta, hãy từ bỏ mình, vác thập giá mình hằng ngày mà theo Ta. Vì kẻ nào muốn cứu mạng sống mình thì sẽ mất nó. Còn kẻ nào mất mạng sống mình vì Ta, thì sẽ cứu được mạng sống mình”.","end":"Ðó là lời Chúa"}}}
+    }
+});
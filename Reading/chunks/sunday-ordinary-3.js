@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-ordinary-3", {
+    "SUNDAY": {
+        "5130": {"A":{"firstReading":{"excerpt":"2 V 4, 8-11. 14-16a","info":"“Người đến trọ nhà mình, là một vị thánh của Thiên Chúa”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Một ngày nọ, Êlisê đi ngang qua miền Sunam. Ở đó có một bà sang trọng mời ông ở lại dùng bữa. Và từ đấy, mỗi khi ông đi ngang qua đó, ông đều đến nhà bà dùng bữa. Bà nói với chồng bà rằng: “Tôi biết rằng người thường trọ nhà mình là một vị thánh của Thiên Chúa. Vậy chúng ta hãy làm cho ông một căn phòng trên lầu, và đặt trong căn phòng đó một cái giường, một cái bàn, một cái ghế, và một cây đèn, để mỗi khi đến, ông ở đó”.\rMột ngày nọ Êlisê đến, ông lên căn phòng trên lầu và nghỉ tại đó. Ông nói (với Giêzê, tiểu đồng của ông): “Bà muốn chúng ta làm gì cho bà?” Giêzê nói rằng: “Thầy khỏi hỏi, bà ấy không có con, và chồng bà đã già”. Êlisê bảo gọi bà ta. Nghe gọi, bà liền đến đứng trước cửa, ông nói với bà rằng: “Năm tới cũng vào thời kỳ này, bà sẽ bồng bế một bé trai”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 2-3. 16-17. 18-19","response":"Ðáp: Lạy Chúa, con sẽ ca ngợi tình thương của Chúa tới muôn đời.","verses":["Xướng: Con sẽ ca ngợi tình thương của Chúa tới muôn đời, qua mọi thế hệ miệng con loan truyền lòng trung thành Chúa. Vì Ngài đã phán: “Tình thương của Ta đứng vững muôn đời”; trên cõi trời cao, Ngài thiết lập lòng trung tín. ","Xướng: Phúc thay dân tộc biết hân hoan, lạy Chúa, họ tiến thân trong ánh sáng nhan Ngài. Họ luôn luôn mừng rỡ vì danh Chúa, và tự hào vì đức công minh Ngài. ","Xướng: Vì Chúa là vinh quang quyền năng của họ; nhờ ân huệ Chúa, uy quyền của chúng tôi được suy tôn. Bởi chưng khiên thuẫn chúng tôi là của Chúa, và vua chúng tôi thuộc về Ðấng Thánh của Israel. "]},"secondReading":{"excerpt":"Rm 6, 3-4. 8-11","info":"“Chúng ta chịu mai táng với Ngài nhờ phép rửa, chúng ta phải sống đời sống mới”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tất cả chúng ta đã chịu phép rửa trong Ðức Kitô, tức là đã chịu phép rửa trong sự chết của Người. Và chúng ta đã cùng chịu mai táng với Người, bởi vì được thanh tẩy trong sự chết của Người, để như Ðức Kitô nhờ vinh hiển của Chúa Cha mà sống lại từ cõi chết thế nào, thì cả chúng ta cũng phải sống đời sống mới như thế. Mà nếu chúng ta đã chết với Ðức Kitô, chúng ta tin rằng: chúng ta cũng sẽ cùng sống với Người, vì biết rằng Ðức Kitô một khi từ cõi chết sống lại, Người không chết nữa, sự chết không còn làm chủ được Người nữa. Người đã chết, tức là chết một lần dứt khoát đối với tội lỗi, mà khi Người sống, là sống cho Thiên Chúa. Cả anh em cũng thế, anh em hãy tự kể như mình đã chết đối với tội lỗi, nhưng sống cho Thiên Chúa, trong Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Pr 2,9","content":"Alleluia, Alleluia – Anh em là giống nòi được tuyển chọn, là hàng tư tế vương giả, là dân thánh, để loan truyền những kỳ công của Thiên Chúa, Đấng đã gọi anh em ra khỏi miền u tối, vào nơi đầy ánh sáng diệu huyền. Alleluia."},"gospel":{"excerpt":"Mt 10, 37-42","info":"“Kẻ nào không mang lấy thập giá, thì không xứng đáng với Thầy; kẻ nào tiếp đón các con, là tiếp đón Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các tông đồ rằng: “Kẻ nào yêu mến cha mẹ hơn Thầy, thì chẳng xứng đáng với Thầy, và kẻ nào yêu mến con trai, con gái hơn Thầy, thì không xứng đáng với Thầy. Kẻ nào cố tìm mạng sống mình thì sẽ mất, và kẻ nào đành mất mạng sống mình vì Thầy, thì sẽ tìm lại được nó.\r“Kẻ nào đón tiếp các con là đón tiếp Thầy; và kẻ nào đón tiếp Thầy, là đón tiếp Ðấng đã sai Thầy. Kẻ nào đón tiếp một tiên tri với danh nghĩa là tiên tri, thì sẽ lãnh phần thưởng của tiên tri; và kẻ nào đón tiếp người công chính với danh nghĩa người công chính, thì sẽ lãnh phần thưởng của người công chính. Kẻ nào cho một trong những người bé mọn này uống chỉ một bát nước lã mà thôi với danh nghĩa là môn đệ, thì quả thật, Thầy nói với các con, người ấy không mất phần thưởng đâu”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"G Kn 1, 13-15; 2, 23-25","info":"“Bởi ác quỷ ghen tương, nên tử thần đột nhập vào thế gian”.","title":"Trích sách Khôn Ngoan.","content":"Thiên Chúa không tạo dựng sự chết, chẳng vui mừng khi người sống phải chết. Người tác thành mọi sự cho có. Người tạo dựng mọi sự trên mặt đất đều lành mạnh, chúng không có nọc độc sự chết, và không có địa ngục ở trần gian.\rVì chưng, công chính thì vĩnh cửu và bất tử. Thiên Chúa đã tạo dựng con người giống hình ảnh Chúa, để sống vĩnh viễn. Nhưng bởi ác quỷ ghen tương, nên tử thần đột nhập vào thế gian: kẻ nào thuộc về nó thì bắt chước nó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 29, 2 và 4. 5-6. 11-12a và 13b","response":"Ðáp: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con (c. 2a).","verses":["Xướng: Lạy Chúa, con ca tụng Chúa vì đã giải thoát con, và không để quân thù hoan hỉ về con. Lạy Chúa, Chúa đã đưa linh hồn con thoát xa âm phủ; Ngài đã cứu con khỏi số người đang bước xuống mồ.","Xướng: Các tín đồ của Chúa, hãy đàn ca mừng Ngài, và hãy cảm tạ thánh danh Ngài. Vì cơn giận của Ngài chỉ lâu trong giây phút, nhưng lòng nhân hậu của Ngài vẫn có suốt đời.","Xướng: Lạy Chúa, xin nhậm lời và xót thương con. Lạy Chúa, xin Ngài gia ân cứu giúp con. Chúa đã biến đổi lời than khóc thành khúc nhạc cho con; Lạy Chúa là Thiên Chúa của con, con sẽ tán tụng Chúa tới muôn đời."]},"secondReading":{"excerpt":"2 Cr 8, 7. 9. 13-15","info":"“Sự dư thừa của anh em bù đắp lại sự thiếu thốn của những anh em nghèo khó”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, cũng như anh em vượt trổi về mọi mặt: về lòng tin, về hùng biện, về sự hiểu biết, về mọi hình thức nhiệt thành, cũng như về lòng bác ái của anh em, thì anh em cũng phải vượt trổi trong việc phúc đức này.\rVì anh em biết lòng quảng đại của Ðức Giêsu Kitô, Chúa chúng ta: mặc dù giàu sang, Người đã nên thân phận nghèo khó, để nhờ việc nghèo khó của Người, anh em nên giàu có. Nhưng không lẽ để cho kẻ khác được thư thái, mà anh em phải túng thiếu, nhưng phải làm sao cho đồng đều. Trong hoàn cảnh hiện tại, sự dư giả của anh em bù đắp lại chỗ thiếu thốn của họ, để sự dư giả của họ bù đắp lại sự thiếu thốn của anh em, hầu có sự đồng đều như lời đã chép rằng: “Kẻ được nhiều, thì cũng không dư; mà kẻ có ít, cũng không thiếu”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 5, 21-43","info":"“Hỡi em bé, Ta bảo em hãy chỗi dậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đã xuống thuyền trở về bờ bên kia, có đám đông dân chúng tụ họp quanh Người, và lúc đó Người đang ở bờ biển. Bỗng có một ông trưởng hội đường tên là Giairô đến. Trông thấy Người, ông sụp lạy và van xin rằng: “Con gái tôi đang hấp hối, xin Ngài đến đặt tay trên nó để nó được khỏi và được sống”. Chúa Giêsu ra đi với ông ấy, và đám đông dân chúng cũng đi theo chen lấn Người tứ phía.\r{Vậy có một người đàn bà bị bệnh xuất huyết đã mười hai năm. Bà đã chịu cực khổ, tìm thầy chạy thuốc, tiêu hết tiền của mà không thuyên giảm, trái lại bệnh càng tệ hơn. Khi bà nghe nói về Chúa Giêsu, bà đi lẫn trong đám đông đến phía sau Người, chạm đến áo Người, vì bà tự nhủ: “Miễn sao tôi chạm tới áo Người thì tôi sẽ được lành”. Lập tức, huyết cầm lại và bà cảm thấy trong mình đã được khỏi bệnh. Ngay lúc ấy, Chúa Giêsu nhận biết có sức mạnh đã xuất phát tự mình, Người liền quay lại đám đông mà hỏi: “Ai đã chạm đến áo Ta?” Các môn đệ thưa Người rằng: “Thầy coi, đám đông chen lấn Thầy tứ phía, vậy mà Thầy còn hỏi ‘Ai chạm đến Ta?’!” Nhưng Người cứ nhìn quanh để tìm xem kẻ đã làm điều đó. Bấy giờ người đàn bà run sợ, vì biết rõ sự thể đã xảy ra nơi mình, liền đến sụp lạy Người và thú nhận với Người tất cả sự thật. Người bảo bà: “Hỡi con, đức tin của con đã chữa con, hãy về bình an và được khỏi bệnh”.}\rNgười còn đang nói, thì người nhà đến nói với ông trưởng hội đường rằng: “Con gái ông chết rồi, còn phiền Thầy làm chi nữa?” Nhưng Chúa Giêsu đã thoáng nghe lời họ vừa nói, nên Người bảo ông trưởng hội đường rằng: “Ông đừng sợ, hãy cứ tin”. Và Người không cho ai đi theo, trừ Phêrô, Giacôbê và Gioan, em Giacôbê. Các Ngài đến nhà ông trưởng hội đường và Chúa Giêsu thấy người ta khóc lóc kêu la ồn ào, Người bước vào và bảo họ: “Sao ồn ào và khóc lóc thế? Con bé không chết đâu, nó đang ngủ đó”. Họ liền chế diễu Người. Nhưng Người đuổi họ ra ngoài hết, chỉ đem theo cha mẹ đứa bé và những môn đệ đã theo Người vào chỗ đứa bé nằm. Và Người cầm tay đứa nhỏ nói rằng: “Talitha, Koumi”, nghĩa là: “Hỡi em bé, Ta truyền cho em hãy chỗi dậy!” Tức thì em bé đứng dậy và đi được ngay, vì em đã được mười hai tuổi. Họ sửng sốt kinh ngạc. Nhưng Người cấm ngặt họ đừng cho ai biết việc ấy và bảo họ cho em bé ăn.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"1 V 19, 16b. 19-21","info":"“Êlisê đi theo Êlia”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Chúa phán cùng Êlia rằng: “Êlisê, con ông Saphát, người Abel-Mêhula, ngươi hãy xức dầu phong y làm tiên tri thế ngươi”.\rÊlia ra đi tìm gặp Êlisê con ông Saphát, đang cày ruộng với mười hai cặp bò, chính ông đang dẫn cày cặp thứ mười hai. Khi Êlia đến trước ông, thì đặt áo choàng mình trên ông. Lập tức ông bỏ bò lại và chạy theo Êlia mà nói rằng: “Tôi xin đi hôn cha mẹ tôi, rồi tôi theo ngài”. Êlia nói với ông: “Ngươi đi đi, rồi trở lại, ta có làm gì ngươi đâu?” Êlisê rời Êlia, rồi bắt một đôi bò làm thịt, lấy cày làm củi đốt quay thịt cho dân ăn. Ðoạn ông đi theo làm đầy tớ Êlia.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10. 11","response":"Ðáp: Lạy Chúa, Chúa là phần gia nghiệp của con (c. 5a).","verses":["Xướng: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa. Con thưa cùng Chúa: Ngài là Chúa tể con; Chúa là phần gia nghiệp và phần chén của con, chính Ngài nắm giữ vận mạng của con","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo, đó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Bởi thế lòng con vui mừng và linh hồn con hoan hỉ, ngay cả đến xác thịt của con cũng nằm nghỉ an toàn, vì Chúa chẳng bỏ rơi linh hồn con trong Âm phủ, cũng không để thánh nhân của Ngài thấy điều hư nát.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn đời. –"]},"secondReading":{"excerpt":"Gl 4, 31b – 5, 1. 13-18","info":"“Anh em được kêu gọi để được tự do”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, chính để chúng ta được tự do mà Ðức Kitô đã giải thoát chúng ta. Anh em hãy đứng vững, đừng để bị đặt dưới ách nô lệ một lần nữa.\rHỡi anh em, anh em được tự do, nhưng đừng lấy nê tự do mà sống theo xác thịt; trái lại, anh em hãy lấy bác ái của Thánh Thần mà phục vụ lẫn nhau. Vì chưng, tất cả lề luật tóm lại trong lời này: “Ngươi hãy yêu mến tha nhân như chính mình ngươi”. Nhưng nếu anh em cắn xé và phân thây nhau, anh em hãy coi chừng kẻo huỷ diệt nhau. Tôi nói điều này là: Anh em hãy sống theo thần trí, và đừng tìm thoả mãn theo đam mê xác thịt nữa. Vì đam mê xác thịt thì chống thần trí, và thần trí thì chống lại xác thịt; giữa đôi bên có sự chống đối nhau, khiến anh em không thi hành được những điều anh em mong muốn. Nhưng nếu anh em được thần trí hướng dẫn, anh em không còn sống dưới lề luật nữa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Sm 3, 9","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 9, 51-62","info":"“Người cương quyết lên đường đi Giêrusalem. Dù Thầy đi đâu, tôi cũng sẽ theo Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vì gần tới thời gian Chúa Giêsu phải cất khỏi đời này, Người cương quyết lên đường đi Giêrusalem, và sai những người đưa tin đi trước Người. Những người này lên đường vào một làng Samaria để chuẩn bị mọi sự cho Người. Nhưng ở đó người ta không đón tiếp Người, bởi Người đi lên Giêrusalem. Thấy vậy, hai môn đệ Giacôbê và Gioan thưa Người rằng: “Lạy Thầy, Thầy muốn chúng con khiến lửa bởi trời xuống thiêu huỷ chúng không?” Nhưng Người quay lại, quở trách các ông rằng: “Các con không biết thần trí nào xúi giục mình. Con Người đến, không phải để giết, nhưng để cứu chữa người ta”. Và các Ngài đi tới một làng khác.\rÐang khi đi đường có kẻ thưa Người rằng: “Dù Thầy đi đâu tôi cũng sẽ theo Thầy”. Chúa Giêsu bảo người ấy rằng: “Con chồn có hang, chim trời có tổ, Con Người không có chỗ gối đầu”. Người bảo một kẻ khác rằng: “Hãy theo Ta”. Người ấy thưa: “Xin cho phép tôi đi chôn cha tôi trước đã”. Nhưng Người đáp: “Hãy để kẻ chết chôn kẻ chết; phần con, hãy đi rao giảng Nước Thiên Chúa”. Một người khác thưa Người rằng: “Lạy Thầy, tôi sẽ theo Thầy, nhưng cho phép tôi về từ giã gia đình trước đã”. Nhưng Chúa Giêsu đáp: “Ai đã tra tay vào cày mà còn ngó lại sau lưng, thì không xứng đáng với Nước Thiên Chúa”.","end":"Ðó là lời Chúa"}}},
+        "5140": {"A":{"firstReading":{"excerpt":"Dcr 9, 9-10","info":"“Này vua ngươi khiêm tốn đến với ngươi”.","title":"Trích sách Tiên tri Dacaria.","content":"Ðây Chúa phán: “Hỡi thiếu nữ Sion, hãy nhảy mừng; hỡi thiếu nữ Giêrusalem, hãy reo mừng! Này vua ngươi đến với ngươi. Người là Ðấng công chính và là Ðấng cứu độ; Người khiêm tốn ngồi trên lừa con, con của lừa mẹ. Người đã loại bỏ các chiến xa khỏi Ephraim, và ngựa khỏi Giêrusalem. Cung tên chiến trận sẽ được phá huỷ. Người sẽ công bố hoà bình cho các dân tộc. Quyền bính của Người sẽ bành trướng từ biển này đến biển nọ, từ sông cái đến tận cùng trái đất”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 1-2. 8-9. 10-11. 13cd-14","response":"Ðáp: Lạy Chúa, lạy Thiên Chúa, con sẽ chúc tụng danh Chúa tới muôn đời","verses":["Xướng: Lạy Chúa con, lạy Thiên Chúa, con sẽ ca khen Chúa, và con sẽ chúc tụng danh Chúa tới muôn đời. Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời. ","Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa. ","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài. ","Xướng: Chúa trung thành trong mọi lời Ngài phán, và thánh thiện trong mọi việc Ngài làm. Chúa nâng đỡ hết những ai sa ngã, và cho mọi kẻ khòm lưng đứng thẳng lên. "]},"secondReading":{"excerpt":"Rm 8, 9. 11-13","info":"“Nếu nhờ thần trí mà anh em đã giết được hành động của xác thịt, thì anh em sẽ được sống”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, anh em không sống theo xác thịt, nhưng sống theo tinh thần, nếu thật sự Thánh Thần Chúa ở trong anh em. Nếu ai không có Thánh Thần của Ðức Kitô, thì kẻ ấy không thuộc về Người. Và nếu Thánh Thần của Ðấng đã làm cho Ðức Giêsu Kitô từ cõi chết sống lại ở trong anh em, thì Ðấng đã làm cho Ðức Kitô từ cõi chết sống lại, cũng cho xác phàm hay chết của anh em được sống, nhờ Thánh Thần Người ngự trong anh em.\rAnh em thân mến, chúng ta không phải là những kẻ mắc nợ xác thịt, để chúng ta sống theo xác thịt. Vì chưng, nếu anh em đã sống theo xác thịt, anh em sẽ phải chết; nhưng nếu nhờ Thần Trí mà anh em đã giết được các hành động (xấu xa của) thân xác, thì anh em sẽ được sống.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 17","content":"Alleluia, Alleluia – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mt 11, 25-30","info":"“Ta dịu hiền và khiêm nhường trong lòng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu lên tiếng nói rằng: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã giấu không cho những người hiền triết và khôn ngoan biết những điều ấy, mà lại mạc khải cho những kẻ bé mọn. Vâng, lạy Cha, vì ý Cha muốn như vậy. – Mọi sự đã được Cha Ta trao phó cho Ta. Và không ai biết Con, trừ ra Cha. Và cũng không ai biết Cha, trừ ra Con và kẻ Con muốn mạc khải cho.\r“Tất cả hãy đến với Ta, hỡi những ai khó nhọc và gánh nặng, Ta sẽ nâng đỡ bổ sức cho các ngươi. Hãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta dịu hiền và khiêm nhượng trong lòng, và tâm hồn các ngươi sẽ gặp được bình an. Vì ách của Ta thì êm ái, và gánh của Ta thì nhẹ nhàng”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ed 2, 2-5","info":"“Ðây là nhà phản loạn, và họ sẽ biết rằng giữa họ vẫn có một tiên tri”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Trong những ngày ấy, sau khi nói với tôi, Thần Linh nhập vào tôi, và đỡ tôi đứng dậy. Tôi nghe Người nói với tôi rằng: “Hỡi con người, Ta sai ngươi đến với con cái Israel, đến với dân nổi loạn phản nghịch Ta, chúng và cha ông chúng vi phạm giao ước của Ta cho đến ngày nay. Ta sai ngươi đến để nói với những con cái dầy mặt cứng lòng rằng: ‘Chúa là Thiên Chúa phán như vậy’. Hoặc chúng nghe, hoặc chúng không nghe, vì đây là bọn phản loạn, và chúng sẽ biết rằng giữa chúng có một tiên tri”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 122, 1-2a. 2bcd. 3-4","response":"Ðáp: Mắt chúng con nhìn vào Chúa, cho tới khi Người thương xót chúng con (c. 2cd).","verses":["Xướng: Con ngước mắt nhìn lên Chúa, Ngài ngự trị ở cõi cao xanh. Kìa, như mắt những người nam tôi tớ, nhìn vào tay các vị chủ ông.","Xướng: Như mắt của những người tỳ nữ, nhìn vào tay các vị chủ bà, mắt chúng tôi cũng nhìn vào Chúa, là Thiên Chúa của chúng tôi như thế, cho tới khi Người thương xót chúng tôi.","Xướng: Nguyện xót thương, lạy Chúa, nguyện xót thương, vì chúng con đã bị khinh dể ê chề quá đỗi! Linh hồn chúng con thật là no ngấy lời chê cười của tụi giàu sang, nỗi miệt thị của lũ kiêu căng."]},"secondReading":{"excerpt":"2 Cr 12, 7-10","info":"“Tôi rất vui sướng khoe mình về những sự yếu hèn của tôi, để sức mạnh của Ðức Kitô ngự trong tôi”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, để những mạc khải cao siêu không làm cho tôi tự cao tự đại, thì một cái dằm đâm vào thịt tôi, một thần sứ của Satan vả mặt tôi. Vì thế đã ba lần tôi van nài Chúa, để nó rời khỏi tôi. Nhưng Người phán với tôi rằng: “Ơn Ta đủ cho ngươi, vì sức mạnh của Ta được tỏ bày trong sự yếu đuối”. Vậy tôi rất vui sướng khoe mình về những sự yếu hèn của tôi, để sức mạnh của Ðức Kitô ngự trong tôi. Vì thế, tôi vui thoả trong sự yếu hèn của tôi, trong sự lăng nhục, quẫn bách, bắt bớ và khốn khó vì Ðức Kitô: vì khi tôi yếu đuối, chính là lúc tôi mạnh mẽ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Pr 1, 25","content":"Alleluia, Alleluia – Lời Chúa tồn tại muôn đời, đó là lời Tin Mừng đã rao giảng cho anh em. – Alleluia."},"gospel":{"excerpt":"Mc 6, 1-6","info":"“Không một tiên tri nào mà không bị khinh bỉ ở quê hương”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu trở về quê nhà và các môn đệ cùng theo Người. Ðến ngày Sabbat, Người vào giảng trong hội đường, và nhiều thính giả sửng sốt về giáo lý của Người, nên nói rằng: “Bởi đâu ông này được như vậy? Sao ông được khôn ngoan như vậy? Bởi đâu tay Người làm được những sự lạ thể ấy? Ông này chẳng phải bác thợ mộc con bà Maria, anh em với Giacôbê, Giuse, Giuđa và Simon sao? Chị em ông không ở với chúng ta đây sao?” Và họ vấp phạm vì Người.\rChúa Giêsu liền bảo họ: “Không một tiên tri nào mà không bị khinh bỉ ở quê hương, gia đình họ hàng mình”. Ở đó Người không làm phép lạ nào được, ngoại trừ đặt tay chữa vài bệnh nhân, và Người ngạc nhiên vì họ cứng lòng tin. Người đi rảo qua các làng chung quanh mà giảng dạy.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Is 66, 10-14c","info":"“Ðây Ta khiến sông bình an chảy vào nó”.","title":"Trích sách Tiên tri Isaia.","content":"Các ngươi hãy vui mừng với Giêrusalem, và hết thảy những ai yêu quý nó, hãy nhảy mừng vì nó. Hỡi các ngươi là những kẻ than khóc nó, hãy hân hoan vui mừng với nó, để các ngươi bú sữa no nê nơi vú an ủi của nó, để các ngươi sung sướng bú đầy sữa vinh quang của nó. Vì chưng Chúa phán thế này: “Ta sẽ làm cho sự bình an chảy đến nó như con sông, và vinh quang chư dân tràn tới như thác lũ. Các ngươi sẽ được bú sữa, được ẵm vào lòng và được nâng niu trên đầu gối. Ta sẽ vỗ về các ngươi như người mẹ nâng niu con, và tại Giêrusalem, các ngươi sẽ được an ủi. Các ngươi sẽ xem thấy, lòng các ngươi sẽ hân hoan, và các ngươi sẽ nẩy nở như hoa cỏ, và tôi tớ Chúa sẽ nhìn biết bàn tay của Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 65, 1-3a. 4-5. 6-7a. 16 và 20","response":"Ðáp: Toàn thể đất nước, hãy reo mừng Thiên Chúa (c. 1).","verses":["Xướng: Toàn thể đất nước hãy reo mừng Thiên Chúa, hãy ca ngợi vinh quang danh Người, hãy kính dâng Người lời khen ngợi hiển vinh. Hãy thưa cùng Thiên Chúa: kinh ngạc thay sự nghiệp Chúa.","Xướng: Toàn thể đất nước thờ lạy và ca khen Ngài, ca khen danh thánh của Ngài. Hãy tới và nhìn coi sự nghiệp của Thiên Chúa, Người thi thố những chuyện kinh ngạc giữa con cái người ta!","Xướng: Người biến bể khơi thành nơi khô cạn, người ta đã đi bộ tiến qua sông, bởi đó ta hãy hân hoan trong Chúa. Với quyền năng, Người thống trị tới muôn đời.","Xướng: Phàm ai tôn sợ Chúa, hãy đến, hãy nghe tôi kể lại, Chúa đã làm cho linh hồn tôi những điều trọng đại biết bao! Chúc tụng Chúa là Ðấng không hất hủi lời tôi nguyện, và không rút lại lòng nhân hậu đối với tôi."]},"secondReading":{"excerpt":"Gl 6, 14-18","info":"“Tôi mang trong mình tôi những dấu thánh của Chúa Giêsu”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, phần tôi, ước gì tôi đừng khoe mình về một điều gì khác, ngoại trừ về thập giá Ðức Giêsu Kitô, Chúa chúng ta. Nhờ cây thập giá mà thế gian đã chịu đóng đinh cho tôi, và tôi cho thế gian. Vì chưng trong Ðức Kitô, có cắt bì hay không cũng chẳng có giá trị gì, điều quan trọng là trở nên một tạo vật mới. Nguyện chúc bình an và lòng thương xót đối với những ai rập theo quy tắc đó, và cho cả Israel của Thiên Chúa nữa. Từ nay trở đi, ước gì không ai làm phiền tôi nữa; vì tôi mang trong mình tôi dấu thánh của Chúa Giêsu.\rAnh em thân mến, nguyện ân sủng của Ðức Giêsu Kitô, Chúa chúng ta, ở cùng anh em! Amen.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-9 {hoặc Lc 1-12. 17-20}","info":"“Sự bằng yên của các con sẽ đến trên người ấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa, và sai các ông cứ từng hai người đi trước Người, đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của Người. Các con hãy đi. Này Ta sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giầy dép, và đừng chào hỏi ai dọc đường. Vào nhà nào, trước tiên các con hãy nói: ‘Bình an cho nhà này’. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ.\r“Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: ‘Nước Thiên Chúa đã đến gần các ngươi’.\r{“Khi vào thành nào mà người ta không tiếp đón các con, thì hãy ra giữa các phố chợ và nói: ‘Cả đến bụi đất thành các ngươi dính vào chân chúng tôi, chúng tôi cũng xin phủi trả lại các ngươi. Nhưng các ngươi hãy biết rõ điều này: Nước Thiên Chúa đã đến gần’. Ta bảo các con, ngày ấy, thành Sôđôma sẽ được xử khoan dung hơn thành này”.\rBảy mươi hai ông trở về rất vui mừng và nói rằng: “Thưa Thầy, nhân danh Thầy thì cả ma quỷ cũng vâng phục chúng con”. Người bảo: “Ta đã thấy Satan từ trời sa xuống như luồng chớp. Này Ta đã ban cho các con quyền giày đạp rắn rít, bọ cạp, mọi quyền phép của kẻ thù, và không có gì có thể làm hại được các con. Dù vậy, các con chớ vui mừng vì các thần phải vâng phục các con, nhưng hãy vui mừng vì tên các con đã được ghi trên trời”.}","end":"Ðó là lời Chúa"}}},
+        "5150": {"A":{"firstReading":{"excerpt":"Is 55, 10-11","info":"“Chúng làm cho đất phì nhiêu”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán: “Như mưa tuyết từ trời rơi xuống và không trở lên trời nữa, nhưng chúng thấm xuống đất, làm cho đất phì nhiêu, cây cối sinh mầm, cho người gieo có hạt giống, cho người ta có cơm bánh ăn, cũng thế, lời từ miệng Ta phán ra sẽ không trở lại với Ta mà không sinh kết quả, nhưng nó thực hiện ý muốn của Ta, và làm tròn sứ mạng Ta uỷ thác”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 64, 10abcd. 10e-11. 12-13. 14","response":"Ðáp: Hạt giống rơi vào đất tốt, và sinh hoa kết quả","verses":["Xướng: Chúa đã viếng thăm ruộng đất và tưới giội: Ngài làm cho đất trở nên phong phú bội phần. Sông ngòi của Thiên Chúa tràn trề nước, Ngài đã chuẩn bị cho thiên hạ có lúa mì.","Xướng: Vì Ngài đã chuẩn bị như thế này cho ruộng đất: Ngài đã tưới giội nước vào những luống cày, và Ngài san bằng mô cao của ruộng đất. Ngài làm cho đất mềm bởi thấm nước mưa; Ngài chúc phúc cho mầm cây trong đất.","Xướng: Chúa đã ban cho một năm hồng ân, và lốt xe ngự giá của Ngài khơi nguồn phong phú. Ðống đất hoang vu có nước chảy đầm đìa, và các đồi núi vận xiêm-y hoan hỉ.","Xướng: Ðồng ruộng đông chật những đàn chiên dê, và các thung lũng được che lợp bằng ngũ cốc; muôn loài đều hát xướng và hoan ca."]},"secondReading":{"excerpt":"Rm 8, 18-23","info":"“Các tạo vật ngóng trông sự mạc khải của con cái Thiên Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi nghĩ rằng những đau khổ ở đời này không thể sánh với vinh quang sắp tới sẽ được mạc khải cho chúng ta. Vì chưng các tạo vật ngóng trông sự mạc khải của con cái Thiên Chúa. Các tạo vật đã phải tùng phục cảnh hư ảo, không phải vì chúng muốn như vậy, nhưng vì Ðấng đã bắt nó phải tùng phục với hy vọng là các tạo vật sẽ được giải thoát khỏi vòng nô lệ sự hư nát, để được thông phần vào sự tự do vinh hiển của con cái Thiên Chúa. Vì chúng ta biết rằng cho đến bây giờ, mọi tạo vật đều rên siết và đau đớn như người đàn bà trong lúc sinh con. Nhưng không phải chỉ có các tạo vật, mà cả chúng ta là những kẻ hưởng ơn đầu mùa của Thánh Thần, chúng ta cũng rên siết trong khi ngóng chờ phúc làm nghĩa tử và ơn cứu độ thân xác chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 17,17","content":"Alleluia, Alleluia – Chúa phán: “Lời Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia."},"gospel":{"excerpt":"Mt 13, 1-9 {hoặc 1-23}","info":"“Kìa, có người gieo giống đi gieo lúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Ngày ấy, Chúa Giêsu ra khỏi nhà và đi đến ngồi ở ven bờ biển. Dân chúng tụ tập quanh Người đông đảo đến nỗi Người phải xuống thuyền mà ngồi, còn tất cả dân chúng thì đứng trên bờ. Và Người dùng dụ ngôn mà nói với họ nhiều điều. Người nói:\r“Này đây, có người gieo giống đi gieo lúa. Trong khi gieo, có hạt rơi xuống vệ đường, chim trời bay đến ăn mất. Có hạt rơi xuống trên đá sỏi, chỗ có ít đất, nó liền mọc lên, vì không có nhiều đất. Khi mặt trời mọc lên, bị nắng gắt, và vì không đâm rễ sâu, nên liền khô héo. Có hạt rơi vào bụi gai, gai mọc um tùm, nên nó chết nghẹt. Có hạt rơi xuống đất tốt và sinh hoa kết quả, có hạt được một trăm, có hạt sáu mươi, có hạt ba mươi. Ai có tai thì hãy nghe”.\r[Các môn đệ đến gần thưa Người rằng: “Tại sao Thầy dùng dụ ngôn mà nói với họ?” Người đáp lại: “Về phần các con, đã cho biết những mầu nhiệm Nước Trời, còn họ thì không cho biết. Vì ai đã có, thì ban thêm cho họ được dư dật; còn kẻ không có, thì cái họ có cũng bị lấy đi. Bởi thế, Thầy dùng dụ ngôn mà nói với họ: vì họ nhìn mà không thấy, lắng tai mà không nghe và không hiểu chi hết. Thế mới ứng nghiệm lời tiên tri Isaia nói về họ rằng: “Các ngươi lắng tai nghe mà chẳng hiểu, trố mắt nhìn mà chẳng thấy gì. Vì lòng dân này đã ra chai đá, họ đã bịt tai nhắm mắt lại, kẻo mắt thấy được, tai nghe được, và lòng chúng hiểu được mà hối cải, và Ta lại chữa chúng cho lành”. Phần các con, phúc cho mắt các con vì được thấy; và phúc cho tai các con vì được nghe. Quả thật, Thầy bảo các con: Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy, mà không được thấy; mong ước nghe điều các con nghe, mà không được nghe.\r“Vậy, các con hãy nghe dụ ngôn về người gieo giống: Kẻ nào nghe lời giảng về Nước Trời mà không hiểu, thì quỷ dữ đến cướp lấy điều đã gieo trong lòng nó: đó là kẻ thuộc hạng gieo dọc đường. Hạt rơi trên đá sỏi là kẻ khi nghe lời giảng, thì tức khắc vui lòng chấp nhận, nhưng không đâm rễ sâu trong lòng nó, đó là kẻ nông nổi nhất thời, nên khi cuộc bách hại, gian nan xảy đến vì lời Chúa, thì lập tức nó vấp ngã. Hạt rơi vào bụi gai, là kẻ nghe lời giảng, nhưng lòng lo lắng việc đời, ham mê của cải, khiến lời giảng bị chết nghẹt mà không sinh hoa kết quả được. Hạt gieo trên đất tốt, là kẻ nghe lời giảng mà hiểu được, nên sinh hoa kết quả đến nỗi có hạt được một trăm, có hạt sáu mươi, có hạt ba mươi”.]","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Am 7, 12-15","info":"“Hãy đi nói tiên tri cho dân Ta”.","title":"Trích sách Tiên tri Amos.","content":"Trong những ngày ấy, Amasia (vị tư tế ở Bêthel) nói cùng Amos rằng: “Hỡi tiên tri, người hãy trốn sang đất Giuđa, sinh sống và nói tiên tri ở đó. Chớ tiếp tục nói tiên tri ở Bêthel, vì đó là thánh điện của vua và là đền thờ của vương quốc”. Amos trả lời cùng Amasia rằng: “Tôi không phải là tiên tri, cũng không phải là con của tiên tri, nhưng là đứa chăn bò (và chuyên) đi hái trái sung. Khi tôi đang đi theo đàn chiên, thì Chúa dẫn tôi đi và nói cùng tôi rằng: “Ngươi hãy đi nói tiên tri cho dân Israel của Ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab -10. 11-12. 13-14","response":"Ðáp: Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, và ban ơn cứu rỗi cho chúng con (c. 8).","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng tôi.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Tự mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái, đức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Người."]},"secondReading":{"excerpt":"Ep 1, 3-10 {hoặc 3-14}","info":"“Ngài đã chọn chúng ta trong Người trước khi tạo dựng thế gian”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Chúc tụng Thiên Chúa là Cha Ðức Giêsu Kitô, Chúa chúng ta, Ðấng đã chúc lành cho chúng ta bằng mọi phúc lành thiêng liêng trên trời, trong Ðức Kitô. Như Ngài đã chọn chúng ta trong Người trước khi tạo dựng thế gian, để chúng ta được nên thánh thiện và tinh tuyền trước mặt Ngài trong tình yêu thương.\rChiếu theo thánh ý Ngài, Ngài đã tiền định cho ta được phúc làm con nhờ Ðức Giêsu Kitô, để chúng ta ca tụng vinh quang ân sủng của Ngài mà Ngài đã ban cho chúng ta được ơn cứu chuộc nhờ máu Người, được ơn tha tội theo sự phong phú của ân sủng Ngài. Ân sủng này, Ngài đã đổ tràn đầy trên chúng ta với tất cả sự khôn ngoan thượng trí, khiến chúng ta được biết mầu nhiệm ý định của Ngài, theo ý Ngài đã định về Người, để kiện toàn trong thời gian viên mãn, là thâu hồi vạn vật trên trời dưới đất trong Ðức Kitô.\r{Cũng trong Người mà chúng tôi được kêu gọi làm thừa tự, được tiền định theo ý định của Ngài là Ðấng tác thành mọi sự theo thánh ý Ngài, để chúng tôi trở thành lời ca vinh quang của Ngài, chúng tôi là những kẻ trông cậy vào Ðức Kitô. Trong Người, cả anh em nữa, sau khi anh em đã nghe lời chân thật là Tin Mừng cứu rỗi anh em, anh em đã tin và được ghi dấu Thánh Thần, như đã hứa. Người là bảo chứng phần gia nghiệp của chúng ta, để chúng ta được ơn cứu chuộc, và được ca ngợi vinh quang Ngài.}","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia, Alleluia – Ngôi Lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 6, 7-13","info":"“Người bắt đầu sai các ông đi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu gọi mười hai tông đồ và sai từng hai người đi, Người ban cho các ông có quyền trên các thần ô uế. Và Người truyền các ông đi đường, đừng mang gì, ngoài cây gậy, không mang bị mang bánh, không mang tiền trong túi, nhưng chân đi dép, và đừng mặc hai áo. Người lại bảo: “Ðến đâu, các con vào nhà nào, thì ở lại đó cho đến khi ra đi. Ai không đón tiếp các con, cũng không nghe lời các con, thì hãy ra khỏi đó, phủi bụi chân để làm chứng tố cáo họ”. Các ông ra đi rao giảng sự thống hối. Các ông trừ nhiều quỷ, xức dầu chữa lành nhiều bệnh nhân.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Ðnl 30, 10-14","info":"“Lời ở sát bên các ngươi, để các ngươi thực thi”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói cùng dân chúng rằng: “Nếu các ngươi nghe tiếng Chúa là Thiên Chúa các ngươi, hãy tuân giữ các giới răn và huấn thị của Người đã được ghi chép trong sách Luật này, hãy trở về cùng Chúa là Thiên Chúa các ngươi hết lòng và hết linh hồn các ngươi. Thánh chỉ ta truyền cho các ngươi hôm nay không quá khó khăn cũng không quá sức các ngươi. Nó không phải ở đâu trên trời, để các ngươi có thể nói: ‘Ai trong chúng tôi có thể lên trời mang luật xuống giảng cho chúng tôi nghe để chúng tôi thực hành được?’ Nó cũng không phải ở bên kia biển, để các ngươi viện lẽ nói rằng: ‘Ai trong chúng tôi có thể vượt biển, và mang nó về cho chúng tôi, để chúng tôi được nghe và thực hành điều đã truyền dạy?’ Nhưng lời ở sát bên các ngươi, nơi miệng các ngươi, trong lòng các ngươi, để các ngươi thực thi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 14 và 17. 30-31. 33-34. 36ab và 37","response":"Ðáp: Các bạn khiêm cung, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh (c. 33).","verses":["Xướng: Lạy Chúa, con dâng lời nguyện cầu lên Chúa, ôi Thiên Chúa, đây là lúc biểu lộ tình thương. Xin nhậm lời con theo lượng cả đức từ bi, theo ơn phù trợ trung thành của Chúa. Lạy Chúa, xin nhậm lời con vì lòng khoan nhân trắc ẩn, theo lượng cả đức từ bi, xin nhìn đến tấm thân con.","Xướng: Phần con, con đau khổ cơ hàn, lạy Chúa, xin gia ân phù trợ bảo toàn thân con. Con sẽ xướng bài ca ngợi khen danh Chúa, và con sẽ chúc tụng Ngài với bài tri ân.","Xướng: Các bạn khiêm cung, hãy nhìn coi và hoan hỉ, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ và không chê bỏ con dân của Người bị bắt cầm tù.","Xướng:  Vì Thiên Chúa sẽ cứu độ Sion, Người sẽ tái thiết thành trì của Giuđa, con cháu của bầy tôi Chúa sẽ thừa hưởng đất này, và tại đây những người yêu danh Chúa sẽ định cư."]},"secondReading":{"excerpt":"Cl 1, 15-20","info":"“Mọi vật đã được tạo thành nhờ Người và trong Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Ðức Giêsu Kitô là hình ảnh của Thiên Chúa vô hình, là trưởng tử mọi tạo vật; vì trong Người muôn loài trên trời dưới đất đã được tác thành, mọi vật hữu hình và vô hình, dù là các Bệ thần hay Quản thần, dù là Chủ thần hay Quyền thần: Mọi vật đã được tạo thành nhờ Người và trong Người. Và Người có trước mọi loài và mọi loài tồn tại trong Người. Người là đầu thân thể tức là Hội thánh, là nguyên thuỷ và là trưởng tử giữa kẻ chết, để Người làm bá chủ mọi loài. Vì chưng, Thiên Chúa đã muốn đặt tất cả viên mãn nơi Người. và Thiên Chúa đã giao hoà vạn vật nhờ Người và vì Người; nhờ máu Người đổ ra trên thập giá, Thiên Chúa ban hoà bình trên trời dưới đất.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến, bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Lc 10, 25-37","info":"“Ai là anh em của tôi?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có một người thông luật đứng dậy hỏi thử Chúa Giêsu rằng: “Thưa Thầy, tôi phải làm gì để được sự sống đời đời”. Người nói với ông: “Trong Lề luật đã chép như thế nào? Ông đọc thấy gì trong đó?” Ông trả lời: “Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn, hết sức và hết trí khôn ngươi, và hãy thương mến anh em như chính mình”. Chúa Giêsu nói: “Ông đã trả lời đúng, hãy làm như vậy và ông sẽ được sống”. Nhưng người đó muốn bào chữa mình, nên thưa cùng Chúa Giêsu rằng: “Nhưng ai là anh em của tôi?” Chúa Giêsu nói tiếp:\r“Một người đi từ Giêrusalem xuống Giêricô, và rơi vào tay bọn cướp; chúng bóc lột người ấy, đánh nhừ tử rồi bỏ đi, để người ấy nửa sống nửa chết. Tình cờ một tư tế cũng đi qua đường đó, trông thấy nạn nhân, ông liền đi qua. Cũng vậy, một trợ tế khi đi đến đó, trông thấy nạn nhân, cũng đi qua. Nhưng một người xứ Samaria đi đường đến gần người ấy, trông thấy và động lòng thương. Người đó lại gần, băng bó những vết thương, xức dầu và rượu, rồi đỡ nạn nhân lên lừa mình, đưa về quán trọ săn sóc. Hôm sau, lấy ra hai quan tiền, ông trao cho chủ quán mà bảo rằng: ‘Ông hãy săn sóc người ấy và ngoài ra, còn tốn phí hơn bao nhiêu, khi trở về, tôi sẽ trả lại ông’. Theo ông nghĩ, ai trong ba người đó là anh em của người bị rơi vào tay bọn cướp?” Người thông luật trả lời: “Kẻ đã tỏ lòng thương xót với người ấy”. Và Chúa Giêsu bảo ông: “Ông cũng hãy đi và làm như vậy”.","end":"Ðó là lời Chúa"}}},
+        "5160": {"A":{"firstReading":{"excerpt":"Kn 12, 13. 16-19","info":"“Người ban cho kẻ tội lỗi ơn ăn năn trở lại”.","title":"Trích sách Khôn Ngoan.","content":"Ngoài Chúa, không có chúa nào khác chăm sóc mọi sự, ngõ hầu minh chứng rằng Chúa không đoán xét bất công. Vì chưng, sức mạnh của Chúa là nguồn gốc sự công minh, và vì Người là Chúa mọi sự, nên tỏ ra khoan dung với mọi người. Chúa chỉ tỏ sức mạnh Chúa ra khi có kẻ không tin vào uy quyền của Chúa, và triệt hạ kẻ kiêu căng không nhìn biết Người.\rVì là chủ sức mạnh, nên Chúa xét xử hiền lành, Chúa thống trị chúng ta với đầy lòng khoan dung: vì khi Chúa muốn, mọi quyền hành tuân lệnh Người. Khi hành động như thế, Người dạy dỗ dân Người rằng: Người công chính phải ăn ở nhân đạo, và Người làm cho con cái Người đầy hy vọng rằng: Người ban cho kẻ tội lỗi ơn ăn năn sám hối.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 85, 5-6. 9-10. 15-16a","response":"Ðáp: Lạy Chúa, Chúa nhân hậu và khoan dung","verses":["Xướng: Lạy Chúa, vì Chúa nhân hậu và khoan dung, giàu lượng từ bi với những ai kêu cầu Chúa. Lạy Chúa, xin nghe lời con khẩn nguyện, và quan tâm đến tiếng con van nài.","Xướng: Các dân tộc mà Chúa tạo thành, họ sẽ tới, lạy Chúa, họ sẽ thờ lạy Ngài, và họ sẽ ca tụng danh Ngài. Vì Ngài cao cả và làm những điều kỳ diệu; duy một mình Ngài là Thiên Chúa.","Xướng: Nhưng lạy Chúa, Ngài là Thiên Chúa từ bi, nhân hậu, chậm bất bình, rất mực khoan dung và thủ tín. Xin đoái nhìn đến con và xót thương con."]},"secondReading":{"excerpt":"Rm 8, 26-27","info":"“Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, có Thánh Thần nâng đỡ sự yếu hèn của chúng ta. Vì chúng ta không biết cầu nguyện thế nào cho xứng hợp, nhưng chính Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả. Mà Ðấng thấu suốt tâm hồn, thì biết điều Thánh Thần ước muốn. Bởi vì Thánh Thần cầu xin cho các thánh theo ý Thiên Chúa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời của Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 13, 24-30 {hoặc 24-43}","info":"“Hãy cứ để cả hai mọc lên cho đến mùa gặt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán một dụ ngôn khác cùng dân chúng rằng: “Nước trời giống như người kia gieo giống tốt trong ruộng mình. Trong lúc mọi người ngủ, thì kẻ thù của ông đến gieo cỏ lùng vào ngay giữa lúa, rồi đi mất. Khi lúa lớn lên và trổ bông thì cỏ lùng cũng lộ ra. Ðầy tớ chủ nhà đến nói với ông rằng: “Thưa ông, thế ông đã không gieo giống tốt trong ruộng ông sao? Vậy cỏ lùng từ đâu mà có?” Ông đáp: “Người thù của ta đã làm như thế”. Ðầy tớ nói với chủ: “Nếu ông bằng lòng, chúng tôi xin đi nhổ cỏ”. Chủ nhà đáp: “Không được, kẻo khi nhổ cỏ lùng, các anh lại nhổ luôn cả lúa chăng. Hãy cứ để cả hai mọc lên cho đến mùa gặt. Và đến mùa, ta sẽ dặn thợ gặt: “Các anh hãy nhổ cỏ lùng trước, rồi bó lại từng bó mà đốt đi, sau mới thu lúa lại chất vào lẫm cho ta”.\r{Người lại nói với họ dụ ngôn khác mà rằng: “Nước trời giống như hạt cải người kia gieo trong ruộng mình. Hạt đó bé nhỏ hơn mọi thứ hạt giống, nhưng khi mọc lên, thì lớn hơn mọi thứ rau cỏ, rồi thành cây, đến nỗi chim trời đến nương náu nơi ngành nó”.\rNgười lại nói với họ một dụ ngôn khác nữa mà rằng: “Nước trời giống như men người đàn bà kia lấy đem trộn vào ba đấu bột, cho đến khi bột dậy men”.\rChúa Giêsu dùng dụ ngôn mà phán những điều ấy với dân chúng. Người không phán điều gì với họ mà không dùng dụ ngôn, để ứng nghiệm lời tiên tri đã chép rằng: “Ta sẽ mở miệng nói lời dụ ngôn, Ta sẽ tỏ ra những điều bí nhiệm từ lúc dựng nên thế gian”. Sau khi giải tán dân chúng, Người trở về nhà. Các môn đệ đến gặp Người và thưa rằng: “Xin Thầy giải thích dụ ngôn cỏ lùng trong ruộng cho chúng con nghe”. Người đáp rằng: “Kẻ gieo giống tốt là Con Người. Ruộng là thế gian. Còn hạt giống tốt là con cái Nước trời. Cỏ lùng là con cái gian ác. Kẻ thù gieo cỏ lùng là ma quỷ. Mùa gặt là ngày tận thế. Thợ gặt là các thiên thần. Cũng như người ta thu lấy cỏ lùng, rồi thiêu đốt trong lửa thế nào, thì ngày tận thế cũng sẽ xảy ra như vậy: Con Người sẽ sai các thiên thần đi thu tất cả gương xấu và mọi kẻ làm điều gian ác khỏi nước Chúa, rồi ném tất cả chúng vào lửa: ở đó sẽ phải khóc lóc nghiến răng. Bấy giờ kẻ lành sẽ sáng chói như mặt trời trong Nước của Cha mình. Ai có tai để nghe thì hãy nghe”.}","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Gr 23, 1-6","info":"“Ta sẽ quy tụ phần còn lại của đoàn chiên Ta, và cho chúng có những chủ chăn”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Chúa phán: “Khốn cho các mục tử làm tản mát và xâu xé đoàn chiên Ta. Vì thế, Chúa là Thiên Chúa Israel phán cùng các mục tử chăn dắt dân Ta rằng: “Các ngươi đã phân tán xua đuổi và không trông nom đoàn chiên Ta”. Chúa lại phán: “Vậy Ta sẽ xét xử những hành động gian ác của các ngươi. Ta sẽ quy tụ phần còn lại của đoàn chiên Ta từ khắp các xứ mà Ta đã phân tán chúng, Ta sẽ lùa chúng về đồng cỏ, để chúng lớn lên và tăng số. Ta sẽ cho chúng có những chủ chăn để họ chăn dắt chúng. Chúng sẽ không còn sợ hãi và kinh hoàng, và chúng không còn thiếu thốn gì nữa”.\rChúa còn phán rằng: “Này đây, đã tới những ngày Ta gây cho Ðavít một mầm giống công chính, mầm giống này sẽ làm vua thống trị, sẽ là người khôn ngoan, thực hiện công lý và đức công bình trên đất nước. Những ngày ấy, Giuđa sẽ được cứu thoát, Israel sẽ được an cư, và chúng sẽ gọi tên Người là “Chúa công bình của chúng ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi (c. 1).","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa,) dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Người, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"secondReading":{"excerpt":"Ep 2, 13-18","info":"“Chính Người là sự bình an của chúng ta, Người đã làm cho đôi bên nên một”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, xưa kia anh em là những kẻ ở xa, thì nay trong Ðức Giêsu Kitô, anh em đã nên gần nhờ bửu huyết của Người. Chính Người là sự bình an của chúng ta, Người đã làm cho đôi bên nên một, đã phá đổ bức tường ngăn cách, tiêu diệt sự hận thù trong thân xác của Người, tức là bãi bỏ lề luật cũ với những thể lệ để kiến tạo cả hai nên một người mới, đem lại bình an, dùng thập giá giải hoà hai dân tộc trong một thân thể với Thiên Chúa. Nơi Người, mối thù nghịch đã bị tiêu diệt, và Người đã đến loan báo Tin Mừng bình an cho anh em là những kẻ ở xa, và bình an cho những kẻ ở gần. Và chính nhờ Người mà chúng ta đôi bên được đến gần Cha trong cùng một Thần Trí.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 8, 12","content":"Alleluia, Alleluia – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mc 6, 30-34","info":"“Họ như đàn chiên không người chăn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các tông đồ hội lại bên Chúa Giêsu và thuật lại với Người mọi việc các ông đã làm và đã giảng dạy. Người liền bảo các ông: “Các con hãy lui vào nơi vắng vẻ mà nghỉ ngơi một chút”. Vì lúc ấy dân chúng kẻ đến người đi tấp nập, đến nỗi các tông đồ không có thì giờ ăn uống. Vậy các ngài xuống thuyền, chèo tới một nơi vắng vẻ hẻo lánh. Thấy các ngài đi, nhiều người hiểu ý, và từ các thành phố, người ta đi bộ kéo đến nơi đó và tới nơi trước các ngài.\rLúc ra khỏi thuyền, Chúa Giêsu thấy dân chúng thật đông, thì động lòng thương, vì họ như đàn chiên không người chăn, và Người dạy dỗ họ nhiều điều.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"St 18, 1-10a","info":"“Ðối với Thiên Chúa có gì khó đâu. Ta trở lại thăm ông và Sara được một đứa con trai”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Chúa hiện ra cùng Abraham dưới chòm cây ở Mambrê, đang lúc ông ngồi ở cửa lều giữa trưa nóng bức. Ông ngước mắt lên thấy ba người nam xuất hiện, đứng gần ông: Vừa trông thấy, từ cửa lều, ông chạy ra đón các vị ấy, rồi sấp mình lạy và thưa rằng: “Lạy Chúa, nếu con được đẹp lòng Chúa, xin đừng bỏ đi qua, con xin lấy ít nước để các Ðấng rửa chân, và nghỉ mát. Con xin đem ít bánh mời các Ðấng dùng để lấy sức lại rồi sẽ đi: chính vì thế mà các Ðấng đã ghé vào nhà con”. Các Ðấng ấy nói: “Như ông đã ngỏ, xin cứ làm”.\rAbraham liền vào lều, và bảo Sara rằng: “Hãy mau mau trộn ba đấu bột làm bánh nướng”. Còn ông, ông chạy đến đoàn bò bắt một con bê non hảo hạng, trao cho đầy tớ đem đi nấu. Ông lấy bơ sữa và thịt bê đã chín, dọn ra trước mặt các Ðấng. Chính ông đứng hầu các Ðấng dưới bóng cây.\rĂn xong, các Ðấng hỏi Abraham rằng: “Sara bạn ông đâu?” Ông trả lời: “Kìa, bạn con ở trong lều”. Một Ðấng nói tiếp: “Ðộ này sang năm, khi Ta trở lại thăm ông, thì cả hai vẫn còn mạnh khoẻ, và Sara bạn ông sẽ được một con trai”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","response":"Ðáp: Lạy Chúa, ai được cư ngụ trên núi thánh của Chúa? (c. 1a)","verses":["Xướng: Người sống thanh liêm và thực thi công chính, và trong lòng suy nghĩ điều ngay, và lưỡi không bịa lời vu khống.","Xướng: Người không làm ác hại bạn đồng liêu, cũng không làm nhục cho ai lân cận. Người coi rẻ đứa bất nhân, nhưng kính yêu những ai tôn sợ Chúa.","Xướng: Người không xuất tiền đặt nợ thu lời, cũng không ăn hối lộ hại người hiền lương. Người thực thi những điều kể đó, thì muôn đời chẳng có lung lay."]},"secondReading":{"excerpt":"Cl 1, 24-28","info":"“Mầu nhiệm ẩn giấu từ muôn thuở, nhưng nay đã được tỏ bày cho các thánh”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, hiện nay tôi vui sướng trong những đau khổ tôi phải chịu vì anh em. Tôi bổ khuyết nơi thân xác tôi những gì còn thiếu sót trong cuộc thương khó của Ðức Kitô, để Hội thánh là thân xác của Người được nhờ. Tôi đã được trở thành người phục vụ Hội thánh theo sự an bài của Thiên Chúa, Ðấng đã trao phó cho tôi rao giảng đầy đủ lời Chúa, đó là mầu nhiệm ẩn giấu từ muôn thuở qua muôn thế hệ, nhưng nay đã được tỏ bày cho các thánh của Người. Thiên Chúa muốn tỏ bày cho họ biết thế nào là sự phong phú vinh quang của mầu nhiệm nơi dân ngoại, tức là Ðức Kitô trong anh em, Người là niềm hy vọng vinh quang. Tôi loan báo Người, cảnh tỉnh mọi người, đem tất cả khôn ngoan mà dạy dỗ mọi người, để làm cho mọi người nên hoàn hảo trong Ðức Giêsu Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 4b","content":"Alleluia, Alleluia – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 10, 38-42","info":"“Martha rước Người vào nhà mình. Maria đã chọn phần tốt nhất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu vào một làng kia và có một phụ nữ tên là Martha rước Người vào nhà mình. Bà có người em gái tên là Maria ngồi bên chân Chúa mà nghe lời Người. Martha bận rộn với việc thết đãi khách. Bà đứng lại thưa Người rằng: “Lạy Thầy, em con để con hầu hạ một mình mà Thầy không quan tâm sao? Xin Thầy bảo em con giúp con với”. Nhưng Chúa đáp: “Martha, Martha, con lo lắng bối rối về nhiều chuyện. Chỉ có một sự cần mà thôi: Maria đã chọn phần tốt nhất và sẽ không bị ai lấy mất”.","end":"Ðó là lời Chúa"}}},
+        "5170": {"A":{"firstReading":{"excerpt":"1 V 3, 5. 7-12","info":"“Xin ban cho tôi tớ Chúa tâm hồn khôn ngoan”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, tại Gabaon, ban đêm, Chúa hiện ra cùng Salomon trong giấc mộng và phán rằng: “Ngươi muốn gì thì hãy xin, Ta sẽ ban cho ngươi”. Salomon thưa: “Lạy Chúa là Thiên Chúa, Chúa khiến tôi tớ Chúa cai trị kế vị Ðavít thân phụ con. Nhưng con chỉ là một trẻ nhỏ, không biết đường đi nước bước. Tôi tớ Chúa đang sống giữa dân Chúa chọn, một dân đông đảo không thể đếm và ước lượng được. Vậy xin Chúa ban cho tôi tớ Chúa tâm hồn khôn ngoan để đoán xét dân Chúa, và phân biệt lành dữ, vì ai có thể xét xử dân này, một dân của Chúa đông đảo thế này?”\rÐiều Salomon kêu xin như trên đã đẹp lòng Chúa, nên Chúa phán cùng Salomon rằng: “Vì ngươi đã xin điều đó, mà không xin sống lâu, được giàu có, của cải, mạng sống quân thù, lại xin cho được khôn ngoan để biết xét đoán, thì đây Ta ban cho ngươi điều ngươi xin, và ban cho ngươi tâm hồn khôn ngoan minh mẫn, đến nỗi trước ngươi không có ai giống ngươi, và sau ngươi không có ai bằng ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 57 và 72. 76-77. 127-128. 129-130","response":"Ðáp: Lạy Chúa, con yêu chuộng luật pháp của Chúa biết bao!","verses":["Xướng:  Lạy Chúa, con xưng thực kỷ phần của con là tuân giữ những lời ban dạy của Ngài. Ðối với con, luật pháp do miệng Chúa đáng chuộng hơn vàng bạc châu báu muôn ngàn.","Xướng: Xin Chúa tỏ lòng thương hầu uỷ lạo con, theo như lời đã hứa cùng tôi tớ Chúa. Nguyện Chúa xót thương cho con được sống, vì luật pháp Ngài là sự sung sướng của con.","Xướng: Bởi thế nên con yêu quý chỉ thị Ngài hơn vàng, và hơn cả vàng ròng tinh khiết. Bởi thế nên con tự chọn tất cả huấn lệnh của Ngài; hết thảy đường lối gian tà con đều ghét bỏ.","Xướng: Kỳ diệu thay những lời Ngài nghiêm huấn, bởi thế linh hồn con vẫn tuân theo. Sự mạc khải lời Ngài soi sáng và dạy bảo những người chưa kinh nghiệm."]},"secondReading":{"excerpt":"Rm 8, 28-30","info":"“Người đã tiền định cho chúng ta trở nên giống hình ảnh Con Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, chúng ta biết rằng những kẻ yêu mến Thiên Chúa thì Người giúp họ được sự lành, họ là những người theo dự định của Chúa, được kêu gọi nên thánh. Vì chưng, những kẻ Chúa đã biết trước, thì Người đã tiền định cho họ nên giống hình ảnh Con Người, để Ngài trở nên trưởng tử giữa đoàn anh em đông đúc. Những ai Người đã tiền định, thì Người cũng kêu gọi; những ai Người đã kêu gọi, thì Người cũng làm cho nên công chính; mà những ai Người đã làm cho nên công chính?, thì Người cũng cho họ được vinh quang.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Pr 1, 25","content":"Alleluia, Alleluia – Lời Chúa tồn tại muôn đời, đó là lời Tin Mừng đã rao giảng cho anh em. – Alleluia."},"gospel":{"excerpt":"Mt 13, 44-46 {hoặc 44-52}","info":"“Anh bán tất cả những gì anh có mà mua thửa ruộng đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Nước trời giống như kho tàng chôn giấu trong ruộng, người kia tìm được, vội chôn vùi xuống, vui mừng trở về bán tất cả những gì anh có mà mua thửa ruộng ấy. Nước trời cũng giống như người buôn nọ đi tìm ngọc quý. Tìm được một viên ngọc quý, anh về bán mọi của cải mà mua viên ngọc ấy.\r{“Nước trời lại giống như lưới thả dưới biển, bắt được mọi thứ cá. Lưới đầy, người ta kéo lên bãi, rồi ngồi đó mà lựa chọn: cá tốt thì bỏ vào giỏ, còn cá xấu thì ném ra ngoài. Trong ngày tận thế cũng vậy: các thiên thần sẽ đến mà tách biệt kẻ dữ ra khỏi người lành, rồi ném những kẻ dữ vào lò lửa, ở đó sẽ phải khóc lóc và nghiến răng. Các ngươi có hiểu những điều đó không?” Họ thưa rằng: “Có”.\rNgười liền bảo họ: “Bởi thế, những thầy thông giáo am tường về Nước trời cũng giống như chủ nhà kia, hay lợi dụng những cái mới, cũ trong kho mình”.}","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"2 V 4, 42-44","info":"“Họ ăn xong mà hãy còn dư”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong những ngày ấy, có một người từ Baal-salisa mang đến dâng cho Êlisê, người của Thiên Chúa, bánh đầu mùa, hai mươi chiếc bánh mạch nha và lúa mì đầu mùa. Người của Thiên Chúa liền nói: “Xin dọn cho dân chúng ăn”. Ðầy tớ của người trả lời: “Tôi dọn bấy nhiêu cho một trăm người ăn sao?” Nhưng người ra lệnh: “Cứ dọn cho dân chúng ăn, vì Chúa phán như sau: ‘Người ta ăn rồi mà sẽ còn dư'”. Ðoạn người dọn cho họ ăn mà còn dư đúng như lời Chúa phán.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 10-11. 15-16. 17-18","response":"Ðáp: Lạy Chúa, Chúa mở rộng bàn tay ra, và thi ân cho chúng con được no nê (c. 16).","verses":["Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Muôn loài để mắt cậy trông vào Chúa, và Ngài ban lương thực cho chúng đúng theo giờ. Chúa mở rộng bàn tay ra, và thi ân cho mọi sinh vật được no nê.","Xướng: Chúa công minh trong mọi đường lối, và thánh thiện trong mọi việc Chúa làm. Chúa gần gũi những kẻ kêu cầu Ngài, mọi kẻ kêu cầu Ngài cách thành tâm."]},"secondReading":{"excerpt":"Ep 4, 1-6","info":"“Chỉ có một thân thể, một Chúa, một đức tin và một phép rửa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, tôi là tù nhân trong Chúa, tôi khuyên anh em hãy ăn ở xứng đáng với ơn kêu gọi anh em đã lãnh nhận. Anh em hãy hết lòng khiêm nhượng, hiền hậu, nhẫn nại, chịu đựng nhau trong đức ái; hãy lo bảo vệ sự hợp nhất tinh thần, lấy bình an hoà thuận làm dây ràng buộc.\rChỉ có một thân thể và một tinh thần, cũng như anh em đã được kêu gọi đến cùng một niềm hy vọng. Chỉ có một Chúa, một đức tin, một phép rửa. Chỉ có một Thiên Chúa là Cha hết mọi người, Ðấng vượt trên hết mọi người, hoạt động nơi mọi người, và ở trong mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 15, 15b","content":"Alleluia, Alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 1-15","info":"“Người phân phát cho các kẻ ngồi ăn, ai muốn bao nhiêu tuỳ thích”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu đi sang bên kia biển Galilêa, cũng gọi là Tibêria. Có đám đông dân chúng theo Người, vì họ đã thấy những phép lạ Người làm cho những kẻ bệnh tật. Chúa Giêsu lên núi và ngồi đó với các môn đệ. Lễ Vượt Qua là đại lễ của người Do-thái đã gần tới.\rChúa Giêsu ngước mắt lên và thấy đám rất đông dân chúng đến với Người. Người hỏi Philipphê: “Ta mua đâu được bánh cho những người này ăn?” Người hỏi như vậy có ý thử ông, vì chính Người đã biết việc Người sắp làm. Philipphê thưa: “Hai trăm bạc bánh cũng không đủ để mỗi người được một chút”. Một trong các môn đệ, tên là Anrê, em ông Simon Phêrô, thưa cùng Người rằng: “Ở đây có một bé trai có năm chiếc bánh lúa mạch và hai con cá, nhưng bấy nhiêu thì thấm vào đâu cho từng ấy người”. Chúa Giêsu nói: “Cứ bảo người ta ngồi xuống”. Nơi đó có nhiều cỏ, người ta ngồi xuống, số đàn ông độ năm ngàn.\rBấy giờ Chúa Giêsu cầm lấy bánh, và khi đã tạ ơn, Người phân phát cho các kẻ ngồi ăn, và cá cũng được phân phát như thế, ai muốn bao nhiêu tuỳ thích. Khi họ đã ăn no nê, Người bảo các môn đệ: “Hãy thu lấy những miếng còn lại, kẻo phí đi”. Họ thu lại được mười hai thúng đầy bánh vụn do năm chiếc bánh lúa mạch người ta đã ăn mà còn dư.\rThấy phép lạ Chúa Giêsu đã làm, người ta đều nói rằng: “Thật ông này là Ðấng tiên tri phải đến trong thế gian”. Vì Chúa Giêsu biết rằng người ta sẽ đến bắt Người để tôn làm vua, nên Người lại trốn lên núi một mình.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"St 18, 20-32","info":"“Lạy Chúa, nếu con nói, xin Chúa đừng nổi giận”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Chúa phán: “Tiếng kêu la của dân Sôđôma và Gômôra đã gia tăng, và tội lỗi chúng quá nặng nề! Ta sẽ xuống coi việc chúng làm có như tiếng kêu thấu đến tai Ta hay không, để Ta sẽ biết rõ”.\rCác vị ấy bỏ nơi đó, đi về hướng thành Sôđôma. Nhưng Abraham vẫn còn đứng trước mặt Chúa. Ông tiến lại gần Người và thưa: “Chớ thì Chúa sắp tiêu diệt người công chính cùng với kẻ tội lỗi sao? Nếu có năm mươi người công chính trong thành, họ cũng chết chung hay sao? Chúa không tha thứ cho cả thành vì năm chục người công chính đang ở trong đó sao? Xin Chúa đừng làm như vậy, đừng sát hại người công chính cùng với kẻ dữ! Xin đừng làm thế! Chúa phán xét thế giới, Chúa không xét đoán như thế đâu”. Chúa phán cùng Abraham rằng: “Nếu Ta tìm thấy trong thành Sôđôma năm mươi người công chính, Ta sẽ vì họ mà tha thứ cho cả thành”. Abraham thưa lại: “Dù con chỉ là tro bụi, con đã bắt đầu nói, nên con xin thưa cùng Chúa. Nếu trong số năm mươi người công chính đó còn thiếu năm người thì sao? Vì bốn mươi lăm người công chính, Chúa có tàn phá cả thành không?” Chúa phán: “Nếu Ta tìm thấy bốn mươi lăm người công chính, Ta sẽ không phá huỷ cả thành”. Abraham lại thưa cùng Chúa rằng: “Nhưng nếu có bốn mươi người thì Chúa sẽ làm gì?” Chúa phán: “Ta sẽ vì bốn mươi người đó mà không trừng phạt cả thành”. Abraham thưa: “Lạy Chúa, nếu con lên tiếng, xin Chúa đừng nổi giận. Nếu ở đây tìm được ba mươi người công chính thì sao?” Chúa phán: “Nếu Ta tìm được ba mươi người, Ta sẽ không phạt”. Abraham nói: “Vì con đã trót nói thì con sẽ thưa cùng Chúa: Nếu trong thành tìm được hai mươi người công chính thì sao?” Chúa phán: “Vì hai mươi người đó Ta sẽ không tàn sát”. Abraham thưa: “Lạy Chúa, xin đừng nổi giận, con chỉ xin thưa lần này nữa thôi: Nếu tìm được mười người công chính ở đó thì sao?” Chúa phán: “Vì mười người đó, Ta sẽ không tàn phá”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 6-7ab. 7c-8","response":"Ðáp: Lạy Chúa, khi con kêu cầu, Chúa đã nhậm lời con (c. 3a).","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, vì Chúa đã nghe lời miệng con xin: trước mặt các Thiên Thần, con đàn ca mừng Chúa; con sấp mình thờ lạy bên thánh điện Ngài.","Xướng: Và con sẽ ca tụng uy danh Chúa, vì lòng nhân hậu và trung thành của Chúa. Khi con kêu cầu, Chúa đã nhậm lời con; Chúa đã ban cho tâm hồn con nhiều sức mạnh.","Xướng: Quả thật Chúa cao cả và thương nhìn kẻ khiêm cung; còn người kiêu ngạo thì Ngài ngó tự đàng xa. Nếu con đi giữa cảnh gian truân, Chúa giữ gìn con sống; Chúa ra tay phản đối quân thù giận dữ.","Xướng: Tay hữu Chúa khiến con được sống an lành. Chúa sẽ hoàn tất cho con những điều đã khởi sự. Lạy Chúa, lòng nhân hậu Chúa tồn tại muôn đời; xin đừng bỏ rơi công cuộc tay Ngài."]},"secondReading":{"excerpt":"Cl 2, 12-14","info":"“Người đã khiến anh em chung sống với Người và tha thứ mọi tội lỗi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôssê.","content":"Anh em thân mến, nhờ phép rửa tội, anh em đã được mai táng làm một với Ðức Kitô, anh em cũng được sống lại với Người, bởi đã tin vào quyền năng Thiên Chúa, Ðấng đã cho Người từ cõi chết sống lại.\rAnh em vốn đã chết vì tội lỗi anh em và bởi không cắt bì tính xác thịt của anh em, nhưng Thiên Chúa đã cho anh em được chung sống với Người, Người đã ân xá mọi tội lỗi chúng ta, đã huỷ bỏ bản văn tự bất lợi cho chúng ta, vì làm cho chúng ta bị kết án; Người đã huỷ bỏ bản văn tự đó bằng cách đóng đinh nó vào thập giá.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến, bình an trên trời, và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Lc 11, 1-13","info":"“Các ngươi hãy xin thì sẽ được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ngày kia, Chúa Giêsu cầu nguyện ở một nơi kia. Khi Người cầu nguyện xong, có một môn đệ thưa Người rằng: “Lạy Thầy, xin dạy chúng con cầu nguyện như Gioan đã dạy môn đệ ông”. Người nói với các ông:\r“Khi các con cầu nguyện, hãy nói: ‘Lạy Cha, nguyện xin danh Cha cả sáng. Nước Cha trị đến. Xin Cha cho chúng con hôm nay lương thực hằng ngày. Và tha nợ chúng con, như chúng con cũng tha mọi kẻ có nợ chúng con. Xin chớ để chúng con sa chước cám dỗ'”.\rVà Người còn bảo các ông rằng: “Nếu ai trong các con có người bạn, giữa đêm khuya đến nói với người ấy rằng: ‘Anh ơi, xin cho tôi vay ba chiếc bánh, vì tôi có anh bạn đi đường ghé lại nhà tôi, mà tôi không có gì thết đãi anh ấy’. Và từ trong nhà có tiếng người ấy đáp: ‘Xin đừng quấy rầy tôi, vì cửa đã đóng, các con tôi và tôi đã lên giường nằm rồi, tôi không thể chỗi dậy lấy bánh cho anh được’. Thầy bảo các con, dù người đó không dậy vì tình bạn để lấy bánh cho người bạn, người đó cũng sẽ dậy, ít nữa là vì sự quấy rầy của người kia mà cho anh ta tất cả những gì anh ta cần.\r“Và Thầy bảo các con: Các con hãy xin thì sẽ được, hãy tìm thì sẽ gặp, hãy gõ thì sẽ mở cho. Vì hễ ai xin thì được, ai tìm thì gặp, ai gõ thì sẽ mở cho.\r“Người cha nào trong các con có đứa con xin bánh mà lại cho nó hòn đá ư? Hay nó xin cá, lại cho nó con rắn thay vì cá sao? Hay nó xin quả trứng, lại cho nó con bọ cạp ư? Vậy, nếu các con là những kẻ gian ác, còn biết cho con cái mình những của tốt, phương chi Cha các con trên trời sẽ ban Thánh Thần cho những kẻ xin Người”.","end":"Ðó là lời Chúa"}}},
+        "5180": {"A":{"firstReading":{"excerpt":"Is 55, 1-3","info":"“Hãy đến mua lúa mà ăn”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán: “Hỡi tất cả những ai khát nước, hãy đến uống nước; hỡi kẻ không tiền bạc, hãy đến mua lúa mà ăn; hãy đến mà mua rượu và sữa, không cần trả tiền, không cần đổi chác gì. Tại sao các ngươi không dùng tiền mà mua bánh, sao không dùng tiền lương mà mua đồ nuôi thân? Vậy hãy lắng tai nghe, hãy đến ăn đồ bổ, và các ngươi sẽ được thưởng thức món ăn mỹ vị. Hãy lắng tai và đến cùng Ta, hãy nghe, thì các ngươi sẽ được sống; Ta sẽ ký kết với các ngươi một giao ước vĩnh cửu, đó là những hồng ân đã hứa cho Ðavít”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 8-9. 15-16. 17-18","response":"Ðáp: Lạy Chúa, Chúa mở rộng bàn tay ra, và thi ân cho chúng con được no nê (x. c. 16).","verses":["Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa.","Xướng: Muôn loài để mắt cậy trông vào Chúa, và Ngài ban lương thực cho chúng đúng theo giờ. Chúa mở rộng bàn tay ra, và thi ân cho mọi sinh vật được no nê.","Xướng: Chúa công minh trong mọi đường lối, và thánh thiện trong việc Chúa làm. Chúa gần gũi kẻ kêu cầu Ngài, mọi kẻ kêu cầu Ngài cách thành tâm."]},"secondReading":{"excerpt":"Rm 8, 35. 37-39","info":"“Không một tạo vật nào có thể tách biệt chúng ta khỏi lòng yêu mến của Thiên Chúa trong Ðức Kitô, Chúa chúng ta”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, ai sẽ tách biệt chúng ta ra khỏi lòng yêu mến của Ðức Kitô được? Hay là gian truân, buồn sầu, đói khát, trần truồng, nguy hiểm, bắt bớ, gươm giáo sao?\rNhưng chúng ta vượt thắng được trong tất cả những sự ấy, vì Ðấng đã yêu thương chúng ta. Tôi chắc chắn rằng dù sự chết hay sự sống, dù thiên thần hay các bậc quyền quý, tài sức, dù những sự hiện tại hay tương lai, hoặc sức mạnh, dù cao hay sâu, dù tạo vật nào khác, cũng không có thể tách biệt chúng ta ra khỏi lòng yêu mến của Thiên Chúa, trong Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"x. Ep 1, 17-18","content":"Alleluia, Alleluia – Cha của Ðức Giêsu Kitô, Chúa chúng ta, đã soi lòng trí để chúng ta biết thế nào là sự cậy trông Chúa kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 14, 13-21","info":"“Mọi người đều ăn no”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy Chúa Giêsu nghe tin Gioan Tẩy Giả đã chết, thì Người rời bỏ nơi đó, xuống thuyền đi đến nơi hoang địa vắng vẻ. Dân chúng nghe biết, thì từ các thành phố đi bộ theo Người. Ra khỏi thuyền, Người thấy dân chúng đông đảo, thì thương xót họ, và chữa những người bệnh tật trong họ.\rChiều tới, các môn đệ đến gần thưa Người rằng: “Ðây là nơi hoang địa, mà giờ đã chiều rồi, xin Thầy giải tán dân chúng, để họ vào các làng mạc mà mua thức ăn”. Nhưng Chúa Giêsu nói với các ông rằng: “Họ chẳng cần phải đi, các con hãy cho họ ăn”. Các ông thưa lại rằng: “Ở đây chúng con chỉ có năm chiếc bánh và hai con cá”. Người bảo các ông rằng: “Hãy đem lại cho Thầy”.\rKhi Người đã truyền cho dân chúng ngồi trên cỏ, Người cầm lấy năm chiếc bánh và hai con cá, ngước mắt lên trời, đọc lời chúc tụng, bẻ ra và trao cho các môn đệ, các ông này phân phát cho dân chúng. Mọi người đều ăn no. Và người ta thu lượm được mười hai thúng đầy những miếng bánh vụn. Số người ăn là năm ngàn người đàn ông, không kể đàn bà và con trẻ.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Xh 16, 2-4. 12-15","info":"“Ta sẽ cho bánh từ trời rơi xuống như mưa”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, toàn thể cộng đoàn con cái Israel kêu trách Môsê và Aaron, họ nói với hai ông rằng: “Thà chúng tôi chết trong đất Ai-cập do tay Chúa, khi chúng tôi ngồi kề bên nồi thịt và ăn no nê. Tại sao các ông dẫn chúng tôi lên sa mạc này, để cả lũ phải chết đói như vầy?”\rChúa liền phán cùng Môsê rằng: “Ðây Ta sẽ cho bánh từ trời rơi xuống như mưa: dân chúng phải đi lượm bánh ăn mỗi ngày, để Ta thử coi dân có tuân giữ lề luật của Ta hay không. Ta đã nghe tiếng kêu trách của con cái Israel: ngươi hãy nói với họ rằng: ‘Chiều nay các ngươi sẽ ăn thịt, và sáng mai sẽ ăn bánh no nê, như thế các ngươi sẽ biết rằng Ta là Thiên Chúa các ngươi'”.\rChiều hôm ấy, có chim cút bay tới che rợp các trại, và sáng hôm sau có sương sa xuống quanh trại. Tới lúc sương tan trên mặt đất, thì thấy có vật gì nho nhỏ tròn tròn như hột sương đông đặc trên mặt đất. Con cái Israel thấy vậy, liền hỏi nhau rằng: “Man-hu”, có nghĩa là: “Cái gì vậy?” vì họ không biết là thứ gì. Môsê liền nói với họ: “Ðó là bánh do Chúa ban cho anh em ăn”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 77, 3 và 4bc. 23-24. 25 và 54","response":"Ðáp: Chúa đã ban cho họ được bánh bởi trời (c. 24b).","verses":["Xướng: Ðiều mà chúng tôi đã nghe, đã biết mà tổ tiên đã thuật lại cho chúng tôi hay, chúng tôi sẽ kể lại cho thế hệ tương lai: đó là những lời khen ngợi và quyền năng của Chúa.","Xướng: Nhưng Người đã ra lệnh cho ngàn mây trên cõi cao xanh, và Người đã mở rộng các cửa trời. Người đã làm mưa man-na xuống để họ ăn, và Người đã ban cho họ được bánh bởi trời.","Xướng: Con người được ăn bánh của những bậc hùng anh; Người ban cho họ lương thực ăn tới no nê. Người đưa họ vào nơi thánh địa của Người, tới miền núi non mà tay hữu Người tậu sắm."]},"secondReading":{"excerpt":"Ep 4, 17. 20-24","info":"“Hãy mặc lấy người mới đã được tác thành theo thánh ý Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, tôi nói với anh em điều này, và chứng thực trong Chúa là anh em chớ ăn ở như Dân Ngoại ăn ở, chiều theo sự giả trá của tâm tư mình. Phần anh em, anh em không hề học biết Ðức Kitô như thế đâu, nhưng nếu anh em đã nghe biết Người và đã được thụ giáo trong Người, như sự chân thật trong Ðức Giêsu dạy, là anh em hãy khử trừ lối sống xưa kia, hãy lột bỏ con người cũ, đã bị hư theo những đam mê lầm lạc. Anh em hãy trở nên mới trong lòng trí anh em, hãy mặc lấy người mới đã được tác thành theo thánh ý Chúa trong sự công chính và thánh thiện xứng với sự thật.","end":"Ðó là lời Chúa"},"alleluia":{"verse":" ","content":"Alleluia, Alleluia – Lạy Chúa, xin mở lòng chúng con, để chúng con nghe lời Con Chúa. – Alleluia."},"gospel":{"excerpt":"Ga 6, 24-35","info":"“Ai đến với Ta sẽ không hề đói, ai tin vào Ta sẽ không hề khát bao giờ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, lúc đám đông thấy không có Chúa Giêsu ở đó, và môn đệ cũng không, họ liền xuống các thuyền và đến Caphar-naum tìm Chúa Giêsu. Khi gặp Người ở bờ biển bên kia, họ nói với Người rằng: “Thưa Thầy, Thầy đến đây bao giờ?” Chúa Giê-su đáp: “Thật, Ta bảo thật các ngươi, các ngươi tìm Ta, không phải vì các ngươi đã thấy những dấu lạ, nhưng vì các ngươi đã được ăn bánh no nê. Các ngươi hãy ra công làm việc không phải vì của ăn hay hư nát, nhưng vì của ăn tồn tại cho đến cuộc sống muôn đời, là của ăn Con Người sẽ ban cho các ngươi. Người là Ðấng mà Thiên Chúa Cha đã ghi dấu”.\rHọ liền thưa lại rằng: “Chúng tôi phải làm gì để gọi là làm việc của Thiên Chúa?” Chúa Giêsu đáp: “Ðây là công việc của Thiên Chúa là các ngươi hãy tin vào Ðấng Ngài sai đến”.\rHọ thưa Chúa Giêsu: “Ngài sẽ làm dấu lạ gì để chúng tôi thấy mà tin Ngài? Ngài làm được việc gì? Cha ông chúng tôi đã ăn manna trong sa mạc, như đã chép rằng: “Người đã ban cho họ ăn bánh bởi trời”. Chúa Giêsu đáp: “Thật, Ta bảo thật các ngươi, không phải Môsê đã ban cho các ngươi bánh bởi trời, mà chính Cha Ta mới ban cho các ngươi bánh bởi trời đích thực. Vì bánh của Thiên Chúa phải là vật tự trời xuống, và ban sự sống cho thế gian”.\rHọ liền thưa Người rằng: “Thưa Ngài, xin cho chúng tôi bánh đó luôn mãi”. Chúa Giêsu nói: “Chính Ta là bánh ban sự sống. Ai đến với Ta, sẽ không hề đói; ai tin vào Ta, sẽ không hề khát bao giờ”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Gv 1, 2; 2, 21-23","info":"“Ích gì cho người bởi mọi việc mình làm”.","title":"Trích sách Giảng Viên.","content":"Giảng Viên đã dạy rằng: Hư không trên các sự hư không, hư không trên các sự hư không, và mọi sự đều hư không. Vì kẻ này làm việc vất vả trong sự khôn ngoan, hiểu biết và lo lắng, rồi phải để sự nghiệp lại cho người ở nhưng không, thì thật là hư không và tai hại lớn lao. Ích gì cho người bởi mọi việc mình làm mà phải chịu đau khổ cực lòng dưới phàm trần? Suốt ngày của họ đầy sự đau khổ gian truân, và ban đêm lại không được yên lòng, thế thì chẳng phải là hư không sao?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","response":"Ðáp: Ước chi hôm nay các bạn nghe tiếng Người: các ngươi đừng cứng lòng (c. 8).","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của ta! Hãy ra trước thiên nhan với lời ca ngợi, chúng ta hãy xướng ca để hoan hô Người.","Xướng: Hãy tiến lên, cúc cung bái và sụp lạy, hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: “Ðừng cứng lòng như ở Mêriba, như hôm ở Massa trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta, họ đã thử Ta mặc dầu đã thấy công cuộc của Ta”."]},"secondReading":{"excerpt":"Cl 3, 1-5, 9-11","info":"“Anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, nếu anh em đã sống lại với Ðức Kitô, anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự bên hữu Thiên Chúa. Anh em hãy nghĩ đến những sự trên trời, chứ đừng nghĩ đến những sự dưới đất. Vì anh em đã chết, và sự sống anh em được ẩn giấu với Ðức Kitô trong Thiên Chúa. Khi Ðức Kitô là sự sống anh em xuất hiện, bấy giờ anh em sẽ xuất hiện với Người trong vinh quang. Vậy còn sống trên địa cầu, anh em hãy kiềm chế các chi thể anh em, là sự gian dâm, ô uế, dục tình, đam mê xấu xa và hà tiện, tức là sự thờ phượng thần tượng.\rAnh em chớ nói dối với nhau; anh em hãy lột bỏ người cũ cùng các việc làm của nó, và mặc lấy người mới, con người được đổi mới theo hình ảnh của Ðấng đã tạo thành nó: ở đấy không còn là dân ngoại và Do-thái, chịu phép cắt bì hay không chịu phép cắt bì, người man rợ hay người Scytha, nô lệ hay tự do nữa, nhưng mọi sự và trong mọi sự có Ðức Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 4b","content":"Alleluia, Alleluia – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 12, 13-21","info":"“Những của ngươi tích trữ sẽ để lại cho ai?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có người trong đám đông thưa cùng Chúa Giêsu rằng: “Lạy Thầy, xin Thầy bảo anh tôi chia gia tài cho tôi”. Người bảo kẻ ấy rằng: “Hỡi người kia, ai đã đặt Ta làm quan xét, hoặc làm người chia gia tài cho các ngươi?” Rồi Người bảo họ rằng: “Các ngươi hãy coi chừng, giữ mình tránh mọi thứ tham lam: vì chẳng phải sung túc mà đời sống được của cải bảo đảm cho đâu”.\rNgười lại nói với họ thí dụ này rằng: “Một người phú hộ kia có ruộng đất sinh nhiều hoa lợi, nên suy tính trong lòng rằng: ‘Tôi sẽ làm gì đây, vì tôi còn chỗ đâu mà tích trữ hoa lợi?’ Ðoạn người ấy nói: ‘Tôi sẽ làm thế này, là phá các kho lẫm của tôi mà xây những cái lớn hơn, rồi chất tất cả lúa thóc và của cải tôi vào đó, và tôi sẽ bảo linh hồn tôi rằng: “Hỡi linh hồn, ngươi có nhiều của cải dự trữ cho nhiều năm: ngươi hãy nghỉ ngơi, ăn uống vui chơi đi”. Nhưng Thiên Chúa bảo nó rằng: ‘Hỡi kẻ ngu dại, đêm nay người ta sẽ đòi linh hồn ngươi, thế thì những của ngươi tích trữ sẽ để lại cho ai?’ Vì kẻ tích trữ của cải cho mình mà không làm giàu trước mặt Chúa thì cũng vậy”.","end":"Ðó là lời Chúa"}}}
+    }
+});
@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-ordinary-4", {
+    "SUNDAY": {
+        "5190": {"A":{"firstReading":{"excerpt":"1 V 19, 9a. 11-13a","info":"“Ngươi hãy ra đứng trên núi trước tôn nhan Chúa”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, khi Êlia đã lên núi Horeb của Thiên Chúa, ông trú ẩn trong một cái hang... Có lời Chúa phán cùng ông rằng: “Hãy ra đứng trên núi trước tôn nhan Chúa”. Bỗng Chúa đi qua; có một cơn gió mạnh xé núi non và nghiền nát đá trước mặt Chúa; nhưng Chúa không ở trong gió bão. Sau trận gió bão thì đất động; Chúa cũng không ở trong cơn động đất. Sau cơn động đất thì có lửa; nhưng Chúa cũng không ở trong lửa. Sau lửa thì có tiếng gió hiu hiu. Vừa nghe thấy, Êlia liền lấy áo choàng che mặt lại, đi ra đứng ở cửa hang.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Lạy Chúa, xin tỏ lòng từ bi Chúa cho chúng con, và ban ơn cứu rỗi cho chúng con","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán báo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong Ðất Nước chúng tôi.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và Ðất Nước chúng con sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Ngài."]},"secondReading":{"excerpt":"Rm 9, 1-5","info":"“Tôi đã ước ao được loại khỏi Ðức Kitô vì phần ích anh em của tôi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi xin nói thật trong Ðức Kitô, tôi không nói dối: lương tâm tôi làm chứng cho tôi trong Thánh Thần: là tôi buồn phiền quá đỗi, lòng tôi hằng đau đớn luôn. Chính tôi đã ao ước được loại khỏi Ðức Kitô vì phần ích anh em của tôi, là những thân nhân của tôi về phần xác. Họ đều là người Israel, họ được quyền làm nghĩa tử, được vinh quang, giao ước, lề luật, việc phượng tự và lời hứa: các tổ phụ cũng là của họ, và bởi các đấng ấy mà Ðức Kitô sinh ra phần xác, Người là Thiên Chúa trên hết mọi sự, đáng chúc tụng muôn đời.Amen.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia, Alleluia – Ngôi lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 14, 22-33","info":"“Xin truyền cho con đi trên mặt nước mà đến cùng Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi dân chúng đã ăn no, lập tức Chúa Giêsu giục môn đệ trở xuống thuyền mà qua bờ bên kia trước, trong lúc Người giải tán dân chúng. Giải tán họ xong, Người lên núi cầu nguyện một mình. Ðến chiều, Người vẫn ở đó một mình. Còn thuyền thì đã ra giữa biển, bị sóng đánh chập chờn vì ngược gió.\rCanh tư đêm tối, Người đi trên mặt biển mà đến với các ông. Thấy Người đi trên mặt biển, các ông hoảng hồn mà nói rằng: “Ma kìa!”, và các ông sợ hãi kêu la lớn tiếng. Lập tức, Chúa Giêsu nói với các ông rằng: “Hãy yên tâm. Thầy đây, đừng sợ!” Phêrô thưa lại rằng: “Lạy Thầy, nếu quả là Thầy, thì xin truyền cho con đi trên mặt nước mà đến cùng Thầy”. Chúa phán: “Hãy đến!” Phêrô xuống khỏi thuyền, bước đi trên mặt nước mà đến cùng Chúa Giêsu. Khi thấy gió mạnh, ông sợ hãi và sắp chìm xuống nên la lên rằng: “Lạy Thầy, xin cứu con!” Lập tức, Chúa Giêsu giơ tay nắm lấy ông mà nói: “Người hèn tin, tại sao mà nghi ngờ?” Khi cả hai đã lên thuyền thì gió liền yên lặng. Những người ở trong thuyền đến lạy Người mà rằng: “Thật, Thầy là Con Thiên Chúa”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"1 V 19, 4-8","info":"“Nhờ sức của nuôi ấy, ông mới đi tới núi của Thiên Chúa”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Êlia đi một ngày đàng vào trong hoang địa. Khi đến nơi kia, và ngồi dưới gốc cây tùng, ông xin được chết mà rằng: “Lạy Chúa, đã đủ rồi, xin cất mạng sống con đi: vì con chẳng hơn gì các tổ phụ con”. Rồi ông nằm ngủ dưới bóng cây tùng. Và đây Thiên Thần Chúa đánh thức ông và bảo rằng: “Hãy chỗi dậy mà ăn”. Ông nhìn thấy gần đầu ông có chiếc bánh lùi và một bình nước: ông ăn uống, rồi ngủ lại. Thiên Thần Chúa trở lại đánh thức ông lần thứ hai và bảo: “Hãy chỗi dậy mà ăn: vì đường ngươi phải đi còn xa”. Ông liền chỗi dậy ăn uống, và nhờ sức của nuôi ấy, ông đi bốn mươi ngày bốn mươi đêm mới tới Horeb, núi của Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao (c. 9a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn.","Xướng: Thiên Thần Chúa hạ trại đồn binh chung quanh những người sợ Chúa, và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao; phúc đức ai tìm nương tựa ở nơi Người."]},"secondReading":{"excerpt":"Ep 4, 30 – 5, 2","info":"“Anh em hãy sống trong tình thương, như Ðức Kitô đã sống”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em chớ làm phiền hà Thánh Thần của Thiên Chúa, vì trong Người, anh em được ghi ấn tín để chờ đợi ngày cứu chuộc đến. Anh em hãy loại ra khỏi anh em mọi thứ gay gắt, tức giận, nóng nảy, dức lác, chửi rủa, cùng mọi thứ độc ác. Anh em hãy ăn ở hiền hậu với nhau, hãy thương xót và tha thứ cho nhau, như Thiên Chúa đã tha thứ cho anh em trong Ðức Kitô. Vậy anh em hãy bắt chước Thiên Chúa, như con cái rất yêu dấu của Người: hãy sống trong tình thương, như Ðức Kitô đã yêu thương chúng ta và phó Mình làm của dâng và lễ tế thơm tho ngọt ngào dâng lên Thiên Chúa vì chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 15, 15b","content":"Alleluia, Alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 41-52","info":"“Ta là bánh hằng sống bởi trời mà xuống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, những người Do-thái kêu trách Chúa Giêsu, vì Người đã phán rằng: “Ta là bánh hằng sống bởi trời mà xuống”. Họ nói: “Chớ thì ông này chẳng phải là Giêsu, con ông Giuse sao? Chúng ta đều biết rõ cha mẹ của ông. Vậy làm sao ông lại nói: ‘Ta bởi trời mà xuống'”.\rChúa Giêsu trả lời cùng họ rằng: “Các ngươi chớ thì thầm với nhau. Không ai đến được với Ta nếu Cha, là Ðấng sai Ta, không lôi kéo kẻ ấy, và Ta, Ta sẽ cho họ sống lại trong ngày sau hết. Trong sách các tiên tri có chép rằng: ‘Mọi người sẽ được Thiên Chúa dạy bảo’. Ai nghe lời giáo hoá của Cha, thì đến với Ta. Không một ai đã xem thấy Cha, trừ Ðấng bởi Thiên Chúa mà ra, Ðấng ấy đã thấy Cha. Thật, Ta bảo thật các ngươi: Ai tin vào Ta thì có sự sống đời đời.\r“Ta là bánh ban sự sống. Cha ông các ngươi đã ăn manna trong sa mạc và đã chết. Ðây là bánh bởi trời xuống, để ai ăn bánh này thì khỏi chết. Ta là bánh hằng sống từ trời xuống. Ai ăn bánh này, sẽ sống đời đời. Và bánh Ta sẽ ban, chính là thịt Ta, để cho thế gian được sống”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Kn 18, 6-9","info":"“Như Chúa đã làm hại đối thủ thế nào, Chúa cũng đã làm cho chúng tôi được vẻ vang như vậy”.","title":"Trích sách Khôn Ngoan.","content":"Chính đêm ấy, cha ông chúng ta đã biết trước, để biết chắc mình đã tin tưởng vào lời thề nào mà được can đảm. Dân Chúa đã mong đợi sự giải thoát những người công chính và sự tiêu diệt kẻ thù. Vì như Chúa đã làm hại đối thủ thế nào, Chúa cũng kêu gọi để làm cho chúng tôi được vẻ vang như vậy.\rVì những con cái thánh thiện của các tổ phụ tốt lành đã lén lút tế lễ, và đồng tâm thiết lập luật thánh thiện, ấn định rằng những người công chính sẽ đồng hưởng vinh nhục, may rủi đều nhau; như vậy là họ đã xướng lên trước bài ca tụng của các tổ phụ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 1 và 12. 18-19. 20 và 22","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình (c. 12b).","verses":["Xướng: Người hiền đức, hãy hân hoan trong Chúa; ca ngợi là việc của những kẻ lòng ngay. Phúc thay quốc gia mà Chúa là chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Ngài, nhìn xem những ai cậy trông ân sủng của Ngài, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn.","Xướng: Linh hồn chúng con mong đợi Chúa, chính Ngài là Ðấng phù trợ và che chở chúng con. Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài."]},"secondReading":{"excerpt":"Dt 11, 1-2, 8-19","info":"“Ông mong đợi thành trì có nền móng mà Thiên Chúa là kiến trúc sư và là Ðấng sáng lập”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, đức tin là cốt yếu những thực tại người ta mong đợi, là bằng chứng điều bí ẩn. Vì nhờ đức tin mà các tiền nhân đã nhận được bằng chứng tốt.\rNhờ đức tin, Abraham đáp lại tiếng Chúa gọi, để ra đi đến xứ ông sẽ được lãnh làm gia nghiệp, và ông ra đi mà không biết mình đi đâu. Nhờ đức tin, ông đến cư ngụ trong đất Chúa hứa, như trong đất khách quê người, sống trong lều trại, cũng như Isaac và Giacóp, những kẻ đồng thừa tự cùng một lời hứa. Vì chưng, ông mong đợi thành trì có nền móng mà Thiên Chúa là kiến trúc sư và là Ðấng sáng lập.\rNhờ đức tin mà ngay cả bà Sara son sẻ được sức mang thai, mặc dầu bà đã già, bởi vì bà tin rằng Ðấng đã hứa sẽ trung tín giữ lời. Vì thế, do tự một người, mặc dầu người đó như chết rồi, mà có một dòng dõi đông đúc vô số như sao trên trời và như cát bãi biển.\rChính trong đức tin mà tất cả những kẻ ấy đã chết trước khi nhận lãnh điều đã hứa, nhưng được nhìn thấy và đón chào từ đàng xa, đồng thời thú nhận rằng mình là lữ khách trên mặt đất. Những ai nói những lời như thế, chứng tỏ rằng mình đang đi tìm quê hương. Giá như họ còn nhớ đến quê hương dưới đất mà họ đã lìa bỏ, chắc họ có đủ thời giờ trở về. Nhưng hiện giờ họ ước mong một quê hương hoàn hảo hơn, tức là quê trời. Vì thế, Thiên Chúa không ngại để họ gọi mình là Thiên Chúa của họ, vì Người đã dọn sẵn cho họ một thành trì.\rNhờ đức tin, khi bị thử lòng, Abraham đã dâng Isaac. Ông hiến dâng con một mình, ông là người nhận lãnh lời hứa, là người đã được phán bảo lời này: “Chính nơi Isaac mà có một dòng dõi mang tên ngươi”. Vì ông nghĩ rằng Thiên Chúa có quyền làm cho kẻ chết sống lại, do đó, ông đã đón nhận con ông như một hình ảnh.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống: không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Lc 12, 32-48","info":"“Các con hãy sẵn sàng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hỡi đoàn bé nhỏ, các con đừng sợ, vì Cha các con đã vui lòng ban nước trời cho các con. Các con hãy bán những của các con có mà bố thí. Hãy sắm cho các con những túi không hư nát, và kho tàng không hao mòn trên trời, là nơi trộm cướp không lai vãng và mối mọt không làm hư nát. Vì kho tàng các con ở đâu, thì lòng các con cũng ở đó.\r“Các con hãy thắt lưng, hãy cầm đèn cháy sáng trong tay, và hãy làm như người đợi chủ đi ăn cưới về, để khi chủ về gõ cửa, thì mở ngay cho chủ. Phúc cho những đầy tớ nào khi chủ về còn thấy tỉnh thức: Thầy bảo thật các con, chủ sẽ thắt lưng, đặt chúng vào bàn ăn, và đi lại hầu hạ chúng. Nếu canh hai hoặc canh ba, chủ trở về mà gặp thấy như vậy, thì phúc cho các đầy tớ ấy. Các con hãy hiểu biết điều này là nếu chủ nhà biết giờ nào kẻ trộm đến, ắt sẽ tỉnh thức, không để nó đào ngạch nhà mình. Cho nên các con hãy sẵn sàng: vì giờ nào các con không ngờ, thì Con Người sẽ đến”.\rPhêrô thưa Người rằng: “Lạy Thầy, Thầy nói dụ ngôn đó chỉ về chúng con hay về mọi người?” Chúa phán: “Vậy con nghĩ ai là người quản lý trung tín khôn ngoan mà chủ đã đặt coi sóc gia nhân mình, để đến giờ phân phát phần lúa thóc cho họ? Phúc cho đầy tớ đó, khi chủ về, thấy nó đang làm như vậy. Thầy bảo thật các con, chủ sẽ đặt người đó trông coi tất cả gia sản mình. Nhưng nếu đầy tớ ấy nghĩ trong lòng rằng: “Chủ tôi về muộn”, nên đánh đập tớ trai tớ gái, ăn uống say sưa: chủ người đầy tớ ấy sẽ về vào ngày nó không ngờ, vào giờ nó không biết, chủ sẽ loại trừ nó, và bắt nó chung số phận với những kẻ bất trung. Nhưng đầy tớ nào đã biết ý chủ mình mà không chuẩn bị sẵn sàng, và không làm theo ý chủ, thì sẽ bị đòn nhiều. Còn đầy tớ nào không biết ý chủ mình mà làm những sự đáng trừng phạt, thì sẽ bị đòn ít hơn. Vì người ta đã ban cho ai nhiều, thì sẽ đòi lại kẻ ấy nhiều, và đã giao phó cho ai nhiều, thì sẽ đòi kẻ ấy nhiều hơn”.","end":"Ðó là lời Chúa"}}},
+        "5200": {"A":{"firstReading":{"excerpt":"Is 56, 1. 6-7","info":"“Ta sẽ dẫn con cái Ta lên núi thánh”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Thiên Chúa phán: “Hãy giữ luật và thực thi công bình, vì ơn cứu độ của Ta đã gần tới, và sự công chính của Ta sẽ tỏ hiện.\r“Người ngoại bang theo Chúa để phụng sự Chúa và mến yêu danh Người, để trở nên tôi tớ Chúa, tất cả những ai giữ ngày Sabbat, không hề sai lỗi, và trung thành với giao ước của Ta, Ta sẽ dẫn chúng lên núi thánh, và Ta sẽ cho chúng niềm vui trong nhà cầu nguyện. Ta sẽ nhận những lễ toàn thiêu và hiến tế của chúng trên bàn thờ, vì nhà Ta là nhà cầu nguyện cho mọi dân tộc”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 66, 2-3. 5. 6 và 8","response":"Ðáp: Chư dân hãy ca tụng Ngài! Thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài","verses":["Xướng: Xin Thiên Chúa xót thương và chúc phúc lành cho chúng con, xin tỏ ra cho chúng con thấy long nhan Ngài tươi sáng, để trên địa cầu, thiên hạ nhìn biết đường lối của Ngài, cho chư dân người ta được rõ ơn Ngài cứu độ.","Xướng: Các dân tộc hãy mừng vui và khoái trá, vì Ngài công bình cai trị chư dân, và Ngài cai quản các nước địa cầu.","Xướng: Chư dân hãy ca tụng Ngài. Thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài! Xin Thiên Chúa chúc phúc lành cho chúng con, để cho khắp cùng bờ cõi trái đất kính sợ Ngài."]},"secondReading":{"excerpt":"Rm 11, 13-15. 29-32","info":"“Thiên Chúa ban ơn và kêu gọi Israel, thì Người không hề hối tiếc”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi nói với anh em là những người gốc Dân Ngoại rằng: Bao lâu tôi là Tông đồ các Dân Ngoại, tôi sẽ tôn trọng chức vụ của tôi, nếu có cách nào làm cho đồng bào tôi phân bì, mà tôi cứu rỗi được ít người trong họ. Vì nếu do việc họ bị loại ra, mà thiên hạ được giao hoà, thì sự họ được thâu nhận sẽ thế nào, nếu không phải là một sự sống lại từ cõi chết?\rVì Thiên Chúa ban ơn và kêu gọi ai, thì Người không hề hối tiếc. Như xưa anh em không tin Thiên Chúa, nhưng nay vì họ cứng lòng tin, nên anh em được thương xót; cũng thế, nay họ không tin, vì thấy Chúa thương xót anh em, để họ cũng được thương xót. Thiên Chúa đã để mọi người phải giam hãm trong sự cứng lòng tin, để Chúa thương xót hết mọi người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Mt 15, 21-28","info":"“Này bà, bà có lòng mạnh tin”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, ra khỏi đó, Chúa Giêsu lui về miền Tyrô và Siđon, thì liền có một bà quê ở Canaan từ xứ ấy đến mà kêu cùng Người rằng: “Lạy Ngài là con Vua Ðavít, xin thương xót tôi: con gái tôi bị quỷ ám khốn cực lắm”. Nhưng Người không đáp lại một lời nào. Các môn đệ đến gần Người mà xin rằng: “Xin Thầy thương để bà ấy về đi, vì bà cứ theo chúng ta mà kêu mãi”. Người trả lời: “Thầy chỉ được sai đến cùng chiên lạc nhà Israel”. Nhưng bà kia đến lạy Người mà nói: “Lạy Ngài, xin cứu giúp tôi”. Người đáp: “Không nên lấy bánh của con cái mà vứt cho chó”. Bà ấy đáp lại: “Vâng, lạy Ngài, vì chó con cũng được ăn những mảnh vụn từ bàn của chủ rơi xuống”. Bấy giờ, Chúa Giêsu trả lời cùng bà ấy rằng: “Này bà, bà có lòng mạnh tin. Bà muốn sao thì được vậy”. Và ngay lúc đó, con gái bà đã được lành.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Cn 9, 1-6","info":"“Các ngươi hãy ăn bánh của ta, và hãy uống rượu ta đã pha cho các ngươi”.","title":"Trích sách Châm Ngôn.","content":"Sự khôn ngoan đã xây nhà mình và dựng bảy cột trụ, đã giết các sinh vật, pha rượu, dọn bàn tiệc, và sai những nữ tỳ lên các nơi cao trong thành mà công bố rằng: “Ai ngây thơ, hãy đến cùng ta”. Và bảo những kẻ mê muội rằng: “Các ngươi hãy đến ăn bánh của ta, và uống rượu ta đã pha cho các ngươi. Các ngươi hãy bỏ sự ngây dại đi, thì sẽ được sống, và hãy bước theo đường lối khôn ngoan”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 10-11. 12-13. 14-15","response":"Ðáp: Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao (c. 9a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các thánh nhân của Chúa hãy tôn sợ Chúa, vì người tôn sợ Chúa chẳng thiếu thốn chi; bọn sang giàu đã sa cơ nghèo đói, nhưng người tìm Chúa chẳng thiếu chi thiện hảo.","Xướng: Các đệ tử ơi, hãy lại đây, hãy nghe ta, ta sẽ dạy cho các con biết tôn sợ Chúa. Ai là người yêu quý cuộc đời, mong sống lâu để hưởng nhiều phúc lộc.","Xướng: Hãy giữ lưỡi đừng nói ra điều ác, và ngậm môi cho khỏi thốt ra lời gian ngoa. Hãy lo tránh ác và hành thiện, hãy tìm kiếm và theo đuổi bình an."]},"secondReading":{"excerpt":"Ep 5, 15-20","info":"“Anh em hãy ăn ở khôn ngoan theo thánh ý Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em hãy xét coi phải ăn ở thế nào cho thận trọng, đừng như những kẻ dại dột, song như những người khôn ngoan: biết lợi dụng thời giờ, vì thời buổi này đen tối. Vì thế anh em chớ ăn ở bất cẩn, nhưng hãy hiểu biết thế nào là thánh ý Thiên Chúa. Anh em chớ say sưa rượu chè, vì rượu sinh ra dâm dục, nhưng hãy tiếp nhận dồi dào Chúa Thánh Thần, cùng nhau hát lên những thánh vịnh, những ca vãn và những bài ca đạo đức và hết lòng ca tụng Chúa. Hãy luôn luôn cảm tạ Thiên Chúa là Cha trong mọi nơi mọi sự, nhân danh Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 51-59","info":"“Thịt Ta thật là của ăn, và Máu Ta thật là của uống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Chúa Giêsu phán cùng dân Do-thái rằng: “Ta là bánh hằng sống từ trời xuống; ai ăn bánh này, thì sẽ sống đời đời. Và bánh Ta sẽ ban, chính là thịt Ta, để cho thế gian được sống”.\rVậy người Do-thái tranh luận với nhau rằng: “Làm sao ông này có thể lấy thịt mình cho chúng ta ăn được?”\rBấy giờ Chúa Giêsu nói với họ: “Thật, Ta bảo thật các ngươi: Nếu các ngươi không ăn thịt Con Người và uống máu Ngài, các ngươi sẽ không có sự sống trong các ngươi. Ai ăn thịt Ta và uống máu Ta thì có sự sống đời đời, và Ta, Ta sẽ cho kẻ ấy sống lại ngày sau hết. Vì thịt Ta thật là của ăn, và máu Ta thật là của uống. Ai ăn thịt Ta và uống máu Ta, thì ở trong Ta và Ta ở trong kẻ ấy. Cũng như Cha, là Ðấng hằng sống đã sai Ta, nên Ta sống nhờ Cha, thì kẻ ăn Ta, chính người ấy cũng sẽ sống nhờ Ta. Ðây là bánh bởi trời xuống. Không phải như cha ông các ngươi đã ăn manna và đã chết, ai ăn bánh này thì sẽ sống đời đời”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Gr 38, 4-6. 8-10","info":"“Ngài đã sinh ra tôi làm người bất thuận sống trên vũ trụ”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Trong những ngày ấy, các thủ lãnh tâu vua rằng: “Chúng tôi xin bệ hạ cho lệnh giết người này, vì nó cố ý nói những lời làm lũng đoạn tinh thần chiến sĩ còn sống sót trong thành này và toàn dân. Thực sự tên này không tìm hoà bình cho dân, mà chỉ tìm tai hoạ”. Vua Sêđêcia phán rằng: “Ðấy nó ở trong tay các ngươi, vì nhà vua không thể từ chối các ngươi điều gì”. Họ liền bắt Giêrêmia và quăng xuống giếng của Melkia con Amêlec, giếng này ở trong sân khám đường, họ dùng dây thả Giêrêmia xuống giếng. Giếng không có nước, chỉ có bùn, nên ông Giêrêmia sa xuống bùn.\rAbđêmêlech ra khỏi đền vua và đến tâu vua rằng: “Tâu bệ hạ, những người này chỉ toàn làm những điều ác đối với tiên tri Giêrêmia, họ ném ông xuống giếng cho chết đói dưới đó, vì trong thành hết bánh ăn”. Vậy vua truyền dạy Abđêmêlech người Êthiôpi rằng: “Hãy đem ba mươi người ở đây theo ngươi, và kéo tiên tri Giêrêmia ra khỏi giếng trước khi ông chết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 2. 3. 4. 18","response":"Ðáp: Lạy Chúa, xin cấp tốc trợ phù con (c. 14b).","verses":["Xướng: Tôi đã cậy trông, tôi đã cậy trông ở Chúa, Người đã nghiêng mình về bên tôi, và Người đã nghe tiếng tôi kêu cầu.","Xướng: Người đã kéo tôi ra khỏi hố diệt vong, khỏi chỗ bùn nhơ; Người đã đặt chân tôi trên đá cứng, và đã làm vững bước chân tôi.","Xướng: Và Người đã đặt trong miệng tôi một bài ca mới, bài ca mừng Thiên Chúa chúng ta; nhiều người đã chứng kiến và tôn sợ, và họ sẽ cậy trông vào Chúa.","Xướng: Phần con, khốn khổ cơ bần, nhưng mà có Chúa ân cần chăm nom. Người là Ðấng phù trợ và giải thoát con, ôi lạy Chúa, xin Ngài đừng chậm trễ."]},"secondReading":{"excerpt":"Dt 12, 1-4","info":"“Chúng ta hãy kiên quyết xông ra chiến trận đang chờ đợi ta”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, cả chúng ta, chúng ta cũng có một đoàn thể chứng nhân đông đảo như đám mây bao quanh, chúng ta hãy trút bỏ tất cả những gì làm cho chúng ta nặng nề và tội lỗi bao quanh chúng ta. Chúng ta hãy cương quyết xông pha chiến trận đang chờ đợi ta. Chúng ta hãy nhìn thẳng vào Ðức Giêsu, Ðấng khơi nguồn đức tin và làm cho nó nên hoàn tất; vì trông mong niềm vui đang chờ đón mình, Người đã chịu khổ giá, bất chấp sự hổ thẹn, và rồi lên ngự bên hữu ngai Thiên Chúa. Anh em hãy tưởng nghĩ đến Ðấng đã liều thân chịu cuộc tấn công dữ dội của những người tội lỗi vào chính con người của Ngài, ngõ hầu anh em khỏi mỏi mệt mà thất vọng. Vì chưng, trong khi chiến đấu với tội lỗi, anh em chưa đến nỗi phải đổ máu.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 8, 12","content":"Alleluia, Alleluia – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Lc 12, 49-53","info":"“Thầy không đến để đem bình an, nhưng đem sự chia rẽ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy đã đến đem lửa xuống thế gian và Thầy mong muốn biết bao cho lửa cháy lên. Thầy phải chịu một phép rửa, và lòng Thầy khắc khoải biết bao cho đến khi hoàn tất. Các con tưởng Thầy đến để đem sự bình an xuống thế gian ư? Thầy bảo các con: không phải thế, nhưng Thầy đến để đem sự chia rẽ. Vì từ nay, năm người trong một nhà sẽ chia rẽ nhau, ba người chống lại hai, và hai người chống lại ba: cha chống đối con trai, và con trai chống đối cha; mẹ chống đối con gái, và con gái chống đối mẹ; mẹ chồng chống đối nàng dâu, và nàng dâu chống đối mẹ chồng”.","end":"Ðó là lời Chúa"}}},
+        "5210": {"A":{"firstReading":{"excerpt":"Is 22, 19-23","info":"“Ta sẽ để chìa khoá nhà Ðavít trên vai nó”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán cùng Sobna, quan cai đền thờ rằng: “Ta sẽ trục xuất ngươi ra khỏi địa vị ngươi, và Ta sẽ cách chức ngươi; trong ngày đó, Ta sẽ gọi đầy tớ Ta là Êliaqim, con trai Helcia. Ta sẽ lấy áo choàng của ngươi mà mặc cho nó, lấy đai lưng của ngươi mà thắt cho nó, sẽ trao quyền ngươi vào tay nó, nó sẽ nên như cha các người cư ngụ ở Giêrusalem và nhà Giuđa. Ta sẽ để chìa khoá nhà Ðavít trên vai nó: nó sẽ mở cửa và không ai đóng lại được; nó đóng cửa lại và không ai mở ra được. Ta sẽ đóng nó vào nơi kiên cố như đóng đinh, và nó sẽ trở nên ngai vinh quang nhà cha nó”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 137, 1-2a. 2bc-3. 6 và 8bc","response":"Ðáp: Lạy Chúa, lòng nhân hậu Chúa tồn tại muôn đời, xin đừng bỏ rơi công cuộc tay Chúa","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, vì Chúa đã nghe lời miệng con xin; trước mặt các thiên thần, con đàn ca mừng Chúa; con sấp mình thờ lạy bên thánh điện Ngài.","Xướng: Và con sẽ ca tụng uy danh Chúa, vì lòng nhân hậu và trung thành của Chúa. Khi con kêu cầu, Chúa đã nhậm lời con, Chúa đã ban cho tâm hồn con nhiều sức mạnh.","Xướng: Quả thực Chúa cao cả và thường nhìn kẻ khiêm cung, còn người kiêu ngạo thì Ngài ngó tự đàng xa. Lạy Chúa, lòng nhân hậu Chúa tồn tại muôn đời; xin đừng bỏ rơi công cuộc tay Chúa."]},"secondReading":{"excerpt":"Rm 11, 33-36","info":"“Mọi sự đều do Người, nhờ Người và trong Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Ôi thẳm sâu thay sự giàu có, thượng trí và thông biết của Thiên Chúa: sự phán quyết của Người làm sao hiểu được, và đường lối của Người làm sao dò được! Vì chưng, nào ai biết được ý Chúa? Hoặc ai đã làm cố vấn cho Người? Hay ai đã cho Người trước để Người sẽ trả lại sau? Vì mọi sự đều do Người, nhờ Người và trong Người: nguyện Người được vinh quang đến muôn đời. Amen.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống: không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mt 16, 13-20","info":"“Con là Ðá, Thầy sẽ ban cho con chìa khoá nước trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đến địa hạt thành Xêsarêa Philipphê, và hỏi các môn đệ rằng: “Người ta bảo Con Người là ai?” Các ông thưa: “Người thì bảo là Gioan Tẩy Giả, kẻ thì bảo là Êlia, kẻ khác lại bảo là Giêrêmia hay một tiên tri nào đó”. Chúa Giêsu nói với các ông: “Phần các con, các con bảo Thầy là ai?” Simon Phêrô thưa rằng: “Thầy là Ðức Kitô, Con Thiên Chúa hằng sống”. Chúa Giêsu trả lời rằng: “Hỡi Simon con ông Giona, con có phúc, vì chẳng phải xác thịt hay máu huyết mạc khải cho con, nhưng là Cha Thầy, Ðấng ngự trên trời. Vậy Thầy bảo cho con biết: Con là Ðá, trên đá này Thầy sẽ xây Hội Thánh của Thầy, và cửa địa ngục sẽ không thắng được. Thầy sẽ trao cho con chìa khoá nước trời: sự gì con cầm buộc dưới đất, trên trời cũng cầm buộc; và sự gì con cởi mở dưới đất, trên trời cũng cởi mở”. Bấy giờ Người truyền cho các môn đệ đừng nói với ai rằng Người là Ðức Kitô.\rKể từ đó, Chúa Giêsu bắt đầu tỏ cho các môn đệ thấy: Người sẽ phải đi Giêrusalem, phải chịu nhiều đau khổ bởi các kỳ lão, luật sĩ và thượng tế, phải bị giết, và ngày thứ ba thì sống lại. Phêrô kéo Người lại mà can gián Người rằng: “Lạy Thầy, xin Chúa giúp Thầy khỏi điều đó. Thầy chẳng phải như vậy đâu”. Nhưng Người quay lại bảo Phêrô rằng: “Hỡi Satan, hãy lui ra đàng sau Thầy, con làm cho Thầy vấp phạm, vì con chẳng hiểu biết những sự thuộc về Thiên Chúa, mà chỉ hiểu biết những sự thuộc về loài người”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Gs 24, 1-2a. 15-17. 18b","info":"“Chúng tôi sẽ tôn thờ Chúa, vì chính Người là Thiên Chúa chúng tôi”.","title":"Trích sách ông Giosuê.","content":"Trong những ngày ấy, Giosuê triệu tập tất cả các chi tộc lại ở Sikem, rồi gọi các kỳ lão, các thủ lãnh gia tộc, quan án, sĩ quan đến, và họ đứng trước mặt Thiên Chúa. Giosuê liền nói với toàn dân như thế này: “Nếu các ngươi không muốn tôn thờ Thiên Chúa, thì cho các ngươi lựa chọn: hôm nay, các ngươi hãy tuỳ ý chọn phải tôn thờ ai hơn: hoặc là các thần cha ông các ngươi đã tôn thờ ở Mêsôpôtamia, hoặc các thần của người xứ Amôrê, nơi các ngươi đang ở. Phần tôi và gia đình tôi, chúng tôi sẽ tôn thờ Chúa”. Dân trả lời rằng: “Không thể có chuyện chúng tôi bỏ Chúa mà tôn thờ những thần ngoại. Chúa là Thiên Chúa chúng tôi, chính Người đã dẫn chúng tôi và cha ông chúng tôi ra khỏi đất Ai-cập, khỏi nhà nô lệ. Người đã làm những việc kỳ diệu cả thể trước mắt chúng tôi và đã gìn giữ chúng tôi suốt con đường chúng tôi đã đi, giữa tất cả mọi dân chúng tôi đã đi qua. Chúa đã trục xuất tất cả những dân đó cũng như người Amôrê trên phần đất chúng tôi đã tiến vào”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 16-17. 18-19. 20-21. 22-23","response":"Ðáp: Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao (c. 9a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa, linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Thiên Chúa để mắt coi người hiền đức, và tai Người lắng nghe tiếng họ cầu. Thiên Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần ai.","Xướng: Người hiền đức kêu cầu và Chúa nghe lời họ; Người cứu họ khỏi mọi nỗi âu lo. Thiên Chúa gần gũi những kẻ đoạn trường, và cứu chữa những tâm hồn đau thương giập nát.","Xướng: Người hiền đức gặp nhiều bước gian truân, nhưng Thiên Chúa luôn luôn giải thoát. Người giữ gìn họ xương cốt vẹn toàn, không để cho một cái nào bị gãy.","Xướng: Sự độc dữ sẽ sát hại đứa ác nhân; kẻ ghét người hiền sẽ phải đích thân đền tội. Thiên Chúa cứu chữa linh hồn tôi tớ của Người, và phàm ai tìm đến nương tựa nơi Người, người đó sẽ không phải đền bồi tội lỗi."]},"secondReading":{"excerpt":"Ep 5, 21-32","info":"“Mầu nhiệm này thật lớn lao: trong Ðức Kitô và trong Hội Thánh”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em hãy phục tùng nhau trong sự kính sợ Ðức Kitô. Người vợ hãy phục tùng chồng mình, như đối với Chúa: vì chồng là đầu người vợ, như Ðức Kitô là đầu Hội Thánh: chính Người là Ðấng Cứu Chuộc thân thể mình. Nhưng như Hội Thánh phục tùng Ðức Kitô thể nào, thì người vợ cũng phục tùng chồng mình trong mọi sự như vậy. Hỡi những người làm chồng, hãy yêu thương vợ mình, như Ðức Kitô yêu thương Hội Thánh và phó mình vì Hội Thánh, để thánh hoá Hội Thánh, khi Người dùng nước và lời hằng sống rửa sạch Hội Thánh, ngõ hầu bày tỏ cho mình một Hội Thánh vinh quang, không vết nhơ, không nhăn nheo hay phải điều gì khác tương tự, nhưng thánh thiện và vẹn tuyền. Cũng thế, người chồng phải yêu thương vợ mình như chính thân mình. Ai yêu thương vợ mình, là yêu thương chính mình. Vì không ai ghét thân xác mình bao giờ, nhưng nuôi dưỡng và nâng niu nó, như Ðức Kitô đối với Hội Thánh: vì chúng ta là chi thể của thân xác Người, do xương thịt Người. Bởi thế, người ta lìa bỏ cha mẹ mình mà kết hợp với vợ mình: và cả hai nên một thân xác. Mầu nhiệm này thật lớn lao, tôi muốn nói về Ðức Kitô và Hội Thánh.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 27","content":"Alleluia, Alleluia – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng biết Ta”. – Alleluia."},"gospel":{"excerpt":"Ga 6, 61-70","info":"“Chúng con sẽ đi đến với ai? Thầy mới có những lời ban sự sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, có nhiều môn đệ của Chúa Giêsu nói rằng: “Lời này chói tai quá! Ai nghe được!” Tự biết rằng các môn đệ đang lẩm bẩm về chuyện ấy, Chúa Giêsu nói với họ: “Ðiều đó làm các con khó chịu ư? Vậy nếu các con thấy Con Người lên nơi đã ở trước thì sao? Chính thần trí mới làm cho sống, chứ xác thịt nào có ích gì? Nhưng lời Ta nói với các con là thần trí và là sự sống. Nhưng trong các con có một số không tin”. Vì từ đầu Chúa Giêsu đã biết ai là những kẻ không tin, và kẻ nào sẽ nộp Người. Và Người nói: “Bởi đó, Ta bảo các con rằng: Không ai có thể đến với Ta, nếu không được Cha Ta ban cho”. Từ bấy giờ có nhiều môn đệ rút lui, không còn theo Người nữa. Chúa Giêsu liền nói với nhóm Mười Hai rằng: “Cả các con, các con có muốn bỏ đi không?” Simon Phêrô thưa Người: “Lạy Thầy, chúng con sẽ đi theo ai? Thầy mới có những lời ban sự sống đời đời. Phần chúng con, chúng con tin và chúng con biết rằng: Thầy là Ðấng Kitô Con Thiên Chúa”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Is 66, 18-21","info":"“Chúng dẫn tất cả anh em các ngươi từ mọi dân tộc đến”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán: “Ta đã biết các việc làm và tư tưởng của chúng; Ta đến quy tụ mọi dân tộc và mọi ngôn ngữ: chúng sẽ đến và nhìn thấy vinh quang của Ta. Ta sẽ đặt nơi chúng một dấu lạ, Ta sẽ sai một số trong những người được giải thoát đến các dân ngoài biển, bên Phi châu và Lyđia, là những dân thiện xạ, đến Ý-đại-lợi và Hy-lạp, đến những hòn đảo xa xăm, đến với những kẻ chưa nghe nói về Ta, và chưa thấy vinh quang của Ta. Chúng sẽ rao giảng cho các dân biết vinh quang của Ta, sẽ dẫn tất cả anh em các ngươi từ mọi dân tộc đến như của lễ dâng cho Chúa, họ cỡi ngựa, đi xe, đi võng, cỡi la, cỡi lạc đà, đến núi thánh của Ta là Giêrusalem, khác nào con cái Israel mang của lễ trong chén tinh sạch vào nhà Chúa, Chúa phán như thế. Trong những dân đó, Ta sẽ chọn các tư tế, các thầy Lêvi: Chúa phán như vậy”. Vì chưng lời Chúa rằng: Cũng như Ta tạo thành trời mới, đất mới đứng vững trước mặt Ta thế nào, thì dòng dõi ngươi và danh tánh các ngươi sẽ vững bền như vậy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 116, 1. 2","response":"Ðáp: Hãy đi rao giảng Tin Mừng khắp thế gian (Mc 16, 15).","verses":["Xướng: Toàn thể chư dân, hãy khen ngợi Chúa! Hết thảy các nước, hãy chúc tụng Người. ","Xướng: Vì tình thương Chúa dành cho chúng tôi thực là mãnh liệt, và lòng trung thành của Chúa tồn tại muôn đời. "]},"secondReading":{"excerpt":"Dt 12, 5-7, 11-13","info":"“Chúa sửa dạy ai là kẻ Người yêu mến”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, anh em đã quên lời yên ủi tôi nói với anh em, như nói với những người con rằng: “Hỡi con, con chớ khinh thường việc Chúa sửa dạy, và đừng nản chí khi Người quở trách con; vì Chúa sửa dạy ai là kẻ Người yêu mến, và đánh đòn kẻ mà Người chọn làm con”. Trong khi được sửa dạy, anh em hãy bền chí. Thiên Chúa xử sự với anh em như con cái: vì có người con nào mà cha không sửa phạt. Ngày nay, hẳn ai cũng coi việc sửa dạy là nỗi buồn khổ, hơn là nguồn vui, nhưng sau này, nó sẽ mang lại hoa quả bình an công chính cho những ai được sửa dạy. Vì thế, anh em hãy nâng đỡ những bàn tay bủn rủn và những đầu gối rụng rời. Ðường anh em đi, anh em hãy bạt cho thẳng, để người què khỏi bị trẹo chân, nhưng được an lành.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 13, 22-30","info":"“Người ta sẽ từ đông chí tây đến dự tiệc trong nước Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu rảo qua các đô thị và làng mạc, vừa giảng dạy vừa đi về Giêrusalem. Có kẻ hỏi Người rằng: “Lạy Thầy, phải chăng chỉ có một số ít sẽ được cứu độ?” Nhưng Người phán cùng họ rằng: “Các ngươi hãy cố gắng vào qua cửa hẹp, vì Ta bảo các ngươi biết: nhiều người sẽ tìm vào mà không vào được. Khi chủ nhà đã vào và đóng cửa lại, thì lúc đó các ngươi đứng ngoài mới gõ cửa mà rằng: ‘Thưa ngài, xin mở cửa cho chúng tôi’. Chủ sẽ trả lời các ngươi rằng: ‘Ta không biết các ngươi từ đâu tới’. Bấy giờ các ngươi mới nói rằng: ‘Chúng tôi đã ăn uống trước mặt ngài và ngài đã giảng dạy giữa các công trường chúng tôi’. Nhưng chủ sẽ trả lời các ngươi rằng: ‘Ta không biết các ngươi tự đâu mà tới, hỡi những kẻ làm điều gian ác, hãy lui ra khỏi mặt ta’. Khi các ngươi sẽ thấy Abraham, Isaac, Giacóp và tất cả các tiên tri ở trong nước Thiên Chúa, còn các ngươi bị loại ra ngoài, nơi đó các ngươi sẽ khóc lóc nghiến răng. Và người ta sẽ từ đông chí tây, từ bắc chí nam đến dự tiệc trong nước Thiên Chúa. Phải, có những người sau hết sẽ trở nên trước hết và những người trước hết sẽ nên sau hết”.","end":"Ðó là lời Chúa"}}},
+        "5220": {"A":{"firstReading":{"excerpt":"Gr 20, 7-9","info":"“Lời Chúa làm cớ cho tôi bị nhục nhã”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Lạy Chúa, Chúa đã khuyến dụ tôi, và Chúa đã khuyến dụ được tôi. Chúa đã hùng mạnh hơn tôi và thắng được tôi: suốt ngày tôi đã trở nên trò cười, và mọi người đều chế nhạo tôi. Mỗi lần tôi nói, tôi phải la lớn và loan báo sự hung bạo và điêu tàn, cho nên lời Chúa làm cớ cho tôi bị nhục nhã và bị chế nhạo suốt ngày. Tôi đã nói rằng: “Tôi sẽ không nhớ đến Người nữa, sẽ không nhân danh Người mà nói nữa, thì lúc đó trong lòng tôi như lửa đốt nóng, âm ỉ trong xương cốt tôi, tôi kiệt sức, không chịu nổi nữa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 8-9","response":"Ðáp: Lạy Chúa là Thiên Chúa con, linh hồn con khát khao Chúa","verses":["Xướng: Ôi lạy Chúa, Chúa là Thiên Chúa của con, con thao thức chạy kiếm Ngài. Linh hồn con khát khao, thể xác con mong đợi Chúa con, như đất héo khô, khát mong mà không gặp nước!","Xướng: Con cũng mong được chiêm ngưỡng thiên nhan ở thánh đài, để nhìn thấy quyền năng và vinh quang của Chúa. Vì ân tình của Ngài đáng chuộng hơn mạng sống, miệng con sẽ xướng ca ngợi khen Ngài.","Xướng: Con sẽ chúc tụng Ngài như thế trọn đời con; con sẽ giơ tay kêu cầu danh Chúa. Hồn con được no thỏa dường như bởi mỹ vị cao lương, và miệng con ca ngợi Chúa với cặp môi hoan hỉ.","Xướng: Vì Chúa đã ra tay trợ phù con, để con được hoan hỉ núp trong bóng cánh của Ngài. Linh hồn con bám thân vào Chúa, và tay hữu Chúa nâng đỡ người con."]},"secondReading":{"excerpt":"Rm 12, 1-2","info":"“Anh em hãy hiến thân làm của lễ sống động”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi nài xin anh em vì lượng từ bi Thiên Chúa, hãy hiến thân anh em làm của lễ sống động và thánh thiện, đẹp lòng Thiên Chúa. Ðó là việc phụng thờ hợp lý anh em phải làm. Anh em đừng theo thói đời này, nhưng hãy canh tân lòng trí anh em, để anh em biết đâu là thánh ý Chúa, biết điều gì tốt lành đẹp lòng Chúa và hoàn hảo.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời của Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 16, 21-27","info":"“Nếu ai muốn theo Thầy, thì hãy từ bỏ mình”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu bắt đầu tỏ cho các môn đệ thấy: Người sẽ phải đi Giêrusalem, phải chịu nhiều đau khổ bởi các kỳ lão, luật sĩ và thượng tế, sẽ bị giết và ngày thứ ba thì sống lại. Phêrô kéo Người lại mà can gián Người rằng: “Lạy Thầy, không thể thế được! Thầy sẽ chẳng phải như vậy đâu”. Nhưng Người quay lại bảo Phêrô rằng: “Hỡi Satan, hãy lui ra đàng sau Thầy, con làm cớ cho Thầy vấp phạm, vì con chẳng hiểu biết những gì thuộc về Thiên Chúa, mà chỉ hiểu biết những sự thuộc về loài người”.\rBấy giờ Chúa Giêsu phán cùng các môn đệ rằng: “Nếu ai muốn theo Thầy, thì hãy từ bỏ mình đi, và vác thập giá mình mà theo Thầy. Vì chưng, ai muốn cứu mạng sống mình, thì sẽ mất; còn ai đành mất mạng sống mình vì Thầy, thì sẽ được sự sống. Nếu ai được lợi cả thế gian mà thiệt hại sự sống mình, thì được ích gì? Hoặc người ta sẽ lấy gì mà đổi được sự sống mình? Bởi vì Con Người sẽ đến trong vinh quang của Cha Người, cùng với các thiên thần của Người, và bấy giờ, Người sẽ trả công cho mỗi người tuỳ theo việc họ làm”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðnl 4, 1-2. 6-8","info":"“Các ngươi hãy tuân giữ các giới răn và đem thực hành bằng việc làm”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói với dân chúng rằng: “Hỡi Israel, giờ đây hãy nghe các lề luật và huấn lệnh mà ta dạy bảo các ngươi phải thực hành, để được sống và được vào chiếm hữu phần đất mà Chúa là Thiên Chúa cha ông các ngươi sẽ ban cho các ngươi. Các ngươi chớ thêm bớt điều gì trong các điều ta đã truyền, nhưng hãy tuân giữ các giới răn của Chúa là Thiên Chúa các ngươi mà ta đã truyền dạy các ngươi. Các ngươi phải tuân giữ và thực hành, vì đó là sự khôn ngoan và sáng suốt của các ngươi trước mặt muôn dân, để khi nghe nói đến tất cả các lề luật ấy, họ nói: ‘Thật, dân tộc vĩ đại này là một dân khôn ngoan và sáng suốt’. Không một dân tộc nào được các thần ở bên cạnh mình, như Chúa là Thiên Chúa chúng ta, ở bên cạnh chúng ta, khi chúng ta kêu cầu Người. Có dân tộc thời danh nào khác có lễ nghi, huấn lệnh công chính, và bộ luật như ta trình bày trước mặt các ngươi hôm nay không?”\r“Vậy các ngươi hãy ý tứ và giữ mình. Trong suốt đời các ngươi đừng quên và đừng để lòng xao lãng những điều các ngươi đã thấy. Hãy dạy cho con cháu các ngươi biết các điều ấy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 4c-5","response":"Ðáp: Lạy Chúa, ai sẽ được ở trong đền tạm Chúa? (c. 1a)","verses":["Xướng: Người sống thanh liêm và thực thi công chính, và trong lòng suy nghĩ điều ngay, và lưỡi không bịa lời vu khống.","Xướng: Người không làm ác hại bạn đồng liêu, cũng không làm nhục cho ai lân cận. Người coi rẻ đứa bất nhân, nhưng kính yêu những ai tôn sợ Chúa.","Xướng: Người dẫu thề điều chi bất lợi, cũng không thay đổi, không xuất tiền đặt nợ thu lời, cũng không ăn hối lộ hại người hiền lương. Người thực thi những điều kể đó, thì muôn đời chẳng có lung lay."]},"secondReading":{"excerpt":"Gc 1, 17-18. 21b-22. 27","info":"“Anh em hãy thực thi lời đã nghe”.","title":"Trích thư Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, mọi ơn lành và mọi phúc lộc hoàn hảo đều do tự trời, bởi Cha sáng láng ban xuống, nơi Người không có thay đổi và cũng không có bóng dáng sự thay đổi. Người đã muốn sinh ra chúng ta bằng lời chân thật, để chúng ta nên như của đầu mùa trong các tạo vật.\rCho nên anh em hãy khử trừ mọi thứ nhơ bẩn và lòng đầy gian ác, anh em hãy ngoan ngoãn nhận lãnh lời đã gieo trong lòng anh em, lời có sức cứu độ linh hồn anh em. Anh em hãy thực thi lời đã nghe, chứ đừng nghe suông mà lừa dối chính mình.\rLòng đạo đức trong sạch và tinh tuyền đối với Thiên Chúa Cha là: thăm viếng cô nhi quả phụ trong cơn quẫn bách, và giữ mình khỏi mọi ô uế đời này.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 7, 1-8a. 14-15. 21-23","info":"“Các ngươi gác bỏ một bên các giới răn Thiên Chúa, để nắm giữ tập tục phàm nhân”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, những người biệt phái và mấy luật sĩ từ Giêrusalem tụ tập lại bên Chúa Giêsu, và họ thấy vài môn đệ Người dùng bữa với những bàn tay không tinh sạch, nghĩa là không rửa trước. Vì theo đúng tập tục của tiền nhân, những người biệt phái và mọi người Do-thái không dùng bữa mà không rửa tay trước, và ở nơi công cộng về, họ không dùng bữa mà không tắm rửa trước. Họ còn giữ nhiều tập tục khác nữa, như rửa chén, rửa bình, rửa các đồ đồng. Vậy những người biệt phái và luật sĩ hỏi Người: “Sao môn đệ ông không giữ tập tục của tiền nhân mà lại dùng bữa với những bàn tay không tinh sạch?” Người đáp: “Hỡi bọn giả hình, Isaia thật đã nói tiên tri rất chí lý về các ngươi, như lời chép rằng: ‘Dân này kính Ta ngoài môi miệng, nhưng lòng chúng ở xa Ta. Nó sùng kính Ta cách giả dối, bởi vì nó dạy những giáo lý và những luật lệ loài người’. Vì các ngươi bỏ qua các giới răn Thiên Chúa, để nắm giữ tập tục loài người”.\rVà Người lại gọi dân chúng mà bảo rằng: “Hết thảy hãy nghe và hiểu rõ lời Ta. Không có gì từ bên ngoài vào trong con người mà có thể làm cho họ ra ô uế. Chỉ có những gì từ con người xuất ra, chính những cái đó mới làm cho họ ra ô uế. Vì từ bên trong, từ tâm trí người ta xuất phát những tư tưởng xấu: ngoại tình, dâm ô, giết người, trộm cắp, tham lam, độc ác, xảo trá, lăng loàn, ganh tị, vu khống, kiêu căng, ngông cuồng. Tất cả những sự xấu đó đều ở trong mà ra, và làm cho người ta ra ô uế”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Hc 3, 19-21. 30-31","info":"“Con hãy hạ mình, thì con sẽ được đẹp lòng Chúa”.","title":"Trích sách Huấn Ca.","content":"Hỡi con, con hãy thi hành công việc con cách hiền hoà, thì con sẽ được người đẹp lòng Chúa quý chuộng. Càng làm lớn, con càng phải hạ mình trong mọi sự, thì con sẽ được đẹp lòng Chúa; vì chỉ có một mình Thiên Chúa có quyền năng cao cả, và mọi kẻ khiêm nhường phải tôn vinh Chúa.\rTai hoạ dành cho kẻ kiêu căng thì vô phương cứu chữa, vì mầm mống tội lỗi đã ăn sâu vào lòng chúng mà chúng không biết. Người thông minh suy ngắm trong lòng lời dụ ngôn, chăm chỉ nghe là kỳ vọng của người khôn ngoan.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 67, 4-5ac. 6-7ab. 10-11","response":"Ðáp: Ôi Thiên Chúa, do lòng nhân hậu, Chúa đã chuẩn bị chỗ định cư cho kẻ cơ bần (x. c. 11b).","verses":["Xướng: Những người hiền đức mừng rỡ hỉ hoan, trước nhan Thiên Chúa họ mừng vui sung sướng. Hãy hát mừng Thiên Chúa, hãy đàn ca danh Người, hãy sửa sang đường lối cho Ðấng ngự giá qua hoang địa.","Xướng: Là Cha kẻ mồ côi, là Ðấng bênh vực người quả phụ, Thiên Chúa ngự trong thánh điện của Người. Thiên Chúa tạo nhà cửa cho những người bị bỏ rơi, dẫn đưa những người tù tội ra nơi thịnh đạt.","Xướng: Ôi Thiên Chúa, Ngài làm mưa ân huệ xuống cho dân Ngài, và khi họ mệt mỏi, Ngài đã bổ dưỡng cho. Ôi Thiên Chúa, đoàn chiên Ngài định cư trong xứ sở, mà do lòng nhân hậu, Ngài chuẩn bị cho kẻ cơ bần."]},"secondReading":{"excerpt":"Dt 12, 18-19. 22-24a","info":"“Anh em tiến đến núi Sion và thành trì của Thiên Chúa hằng sống”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, không phải anh em tiến tới một ngọn núi có thể sờ được, hay là lửa cháy, gió lốc, mây mù, bão táp hoặc tiếng kèn, và tiếng gầm thét, khiến cho người nghe xin tha đừng nói với họ lời nào nữa. Trái lại, anh em tiến đến núi Sion và thành trì của Thiên Chúa hằng sống, là Giêrusalem trên trời, tiến đến giữa muôn ngàn thiên thần, và cộng đoàn các trưởng tử đã được ghi sổ trên trời, và đến cùng Thiên Chúa, Ðấng phán xét mọi người, đến cùng các linh hồn những người công chính hoàn hảo, đến cùng Ðấng trung gian của giao ước mới là Ðức Giêsu.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Sm 3, 9","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 14, 1. 7-14","info":"“Hễ ai nhắc mình lên, sẽ phải hạ xuống, và ai hạ mình xuống, sẽ được nhắc lên”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, nhằm một ngày Sabbat Chúa Giêsu vào nhà một thủ lãnh các người biệt phái để dùng bữa, và họ dò xét Người. Người nhận thấy cách những kẻ được mời, chọn chỗ nhất, nên nói với họ dụ ngôn này rằng:\r“Khi có ai mời ngươi dự tiệc cưới, ngươi đừng ngồi vào chỗ nhất, kẻo có người trọng hơn ngươi cũng được mời dự tiệc với ngươi, và chủ tiệc đã mời ngươi và người ấy, đến nói với ngươi rằng: ‘Xin ông nhường chỗ cho người này’. Bấy giờ ngươi sẽ phải xấu hổ đi ngồi vào chỗ rốt hết. Nhưng khi ngươi được mời, hãy đi ngồi vào chỗ rốt hết, để khi người mời ngươi đến, nói với ngươi rằng: ‘Hỡi bạn, xin mời bạn lên trên’. Bấy giờ ngươi sẽ được danh dự trước mặt những người dự tiệc. Vì hễ ai nhắc mình lên, sẽ phải hạ xuống, và ai hạ mình xuống, sẽ được nhắc lên”.\rRồi Người lại nói với kẻ đã mời Người rằng: “Khi ông dọn bữa ăn trưa hay tối, thì đừng mời bạn bè, anh em, bà con hay láng giềng giàu có, kẻo đến lượt họ cũng mời ông, và như thế ông đã được trả lễ rồi. Nhưng khi làm tiệc, hãy mời những người nghèo khó tàn tật, què quặt, và đui mù; ông sẽ có phúc, bởi họ không có gì trả lễ. Vì ông sẽ được trả lễ khi những người công chính sống lại”.","end":"Ðó là lời Chúa"}}},
+        "5230": {"A":{"firstReading":{"excerpt":"Ed 33, 7-9","info":"“Nếu ngươi không chịu nói cho kẻ gian ác, thì Ta đòi máu nó bởi tay ngươi”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Ðây Chúa phán: “Hỡi con người, Ta đã làm cho ngươi trở nên người lính canh nhà Israel: vậy khi nghe lời miệng Ta nói, ngươi hãy loan báo cho chúng thay Ta. Khi Ta phán cùng kẻ gian ác rằng: “Hỡi kẻ gian ác, mi sẽ phải chết”; nếu ngươi không chịu nói để kẻ gian ác bỏ đường lối mình, thì chính kẻ gian ác sẽ chết trong sự gian ác của nó, nhưng Ta đòi máu nó bởi tay ngươi. Còn khi ngươi loan báo cho kẻ gian ác bỏ đường lối nó, nếu nó không chịu bỏ đường lối nó, thì nó sẽ chết trong sự gian ác của nó, nhưng ngươi cứu được mạng sống ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","response":"Ðáp: Ước chi hôm nay các bạn nghe tiếng Người: “Các ngươi đừng cứng lòng” (x. c. 8).","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của ta! Hãy ra trước thiên nhan với lời ca ngợi, chúng ta hãy xướng ca để hoan hô Người!","Xướng: Hãy tiến liên, cúc cung bái và sụp lạy, hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: Ðừng cứng lòng như ở Mêriba, như hôm ở Massa trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta, họ đã thử Ta mặc dầu đã thấy công cuộc của Ta."]},"secondReading":{"excerpt":"Rm 13, 8-10","info":"“Yêu thương là chu toàn cả lề luật”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, anh em chớ mắc nợ ai ngoài việc phải yêu mến nhau. Vì ai yêu người, thì đã giữ trọn lề luật. Ðó là: “Chớ ngoại tình; chớ giết người; chớ trộm cắp; chớ làm chứng gian; chớ mê tham”, và nếu có điều luật nào khác, thì cũng tóm lại trong lời này là: “Ngươi hãy yêu mến kẻ khác như chính mình”. Lòng yêu thương không làm hại kẻ khác. Vậy yêu thương là chu toàn cả lề luật.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 15, 15b","content":"Alleluia, Alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Mt 18, 15-20","info":"“Nếu nó nghe ngươi, thì ngươi đã lợi được người anh em”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu anh em ngươi lỗi phạm, hãy đi sửa dạy nó, riêng ngươi và nó thôi. Nếu nó nghe ngươi, thì ngươi đã lợi được người anh em. Nếu nó không nghe lời ngươi, hãy đem theo một hoặc hai người nữa, để mọi việc được giải quyết nhờ lời hai hoặc ba nhân chứng. Nếu nó không nghe họ, hãy trình với cộng đoàn. Và nếu nó cũng không nghe cộng đoàn, ngươi hãy kể nó như người ngoại giáo và như người thu thuế.\r“Thầy bảo thật các con, những gì các con cầm buộc dưới đất thì trên trời cũng cầm buộc, và những gì các con tháo gỡ dưới đất, thì trên trời cũng tháo gỡ.\r“Thầy lại bảo các con, nếu hai người trong các con, ở dưới đất, mà hiệp lời cầu xin bất cứ điều gì, thì Cha Thầy, Ðấng ngự trên trời, sẽ ban cho họ điều đó. Vì ở đâu có hai hoặc ba người tụ họp nhân danh Thầy, thì Thầy ở giữa những người ấy”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 35, 4-7a","info":"“Tai người điếc sẽ mở ra và người câm sẽ nói được”.","title":"Trích sách Tiên tri Isaia.","content":"Các ngươi hãy nói với những tâm hồn xao xuyến: Can đảm lên, đừng sợ! Này đây Thiên Chúa các ngươi đến để phục thù. Chính Người sẽ đến và cứu thoát các ngươi.\rBấy giờ mắt người mù sẽ sáng lên, và tai người điếc sẽ mở ra. Bấy giờ người què sẽ nhảy nhót như nai, và người câm sẽ nói được, vì nước sẽ chảy lên nơi hoang địa, và suối nước sẽ chảy nơi đồng vắng. Ðất khô cạn sẽ trở thành ao hồ, và hoang địa sẽ trở nên suối nước.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","response":"Ðáp: Linh hồn tôi ơi, hãy ngợi khen Chúa! (c. 2a). \rHoặc đọc: Alleluia.","verses":["Xướng: Thiên Chúa trả lại quyền lợi cho người bị ức, và ban cho những người đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội. ","Xướng: Thiên Chúa mở mắt những kẻ đui mù, Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quý các bậc hiền nhân. Thiên Chúa che chở những khách kiều cư. ","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời, Sion hỡi, Thiên Chúa của ngươi sẽ làm vua tự đời này sang đời khác. "]},"secondReading":{"excerpt":"Gc 2, 1-5","info":"“Không phải Thiên Chúa đã chọn người nghèo để hưởng nước Người đó sao?”","title":"Trích thư Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, anh em là những người tin vào Ðức Giêsu Kitô vinh hiển, Chúa chúng ta, anh em đừng thiên vị. Giả sử trong lúc anh em hội họp, có người đi vào, tay đeo nhẫn vàng, mình mặc áo sang trọng; lại cũng có người nghèo khó đi vào, áo xống dơ bẩn, nếu anh em chăm chú nhìn người mặc áo rực rỡ mà nói: “Xin mời ông ngồi chỗ danh dự này”. Còn với người nghèo khó thì anh em lại nói rằng: “Còn anh, anh đứng đó”, hoặc: “Anh hãy ngồi dưới bệ chân tôi”. Ðó không phải là anh em xét xử thiên vị ở giữa anh em và trở nên những quan xét đầy tà tâm đó sao?\rAnh em thân mến, xin hãy nghe: Không phải Thiên Chúa chọn người nghèo trước mắt thế gian, để nhờ đức tin, họ trở nên giàu có và được hưởng nước Người đã hứa cho những kẻ yêu mến Người đó sao?","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 7, 31-37","info":"“Người làm cho kẻ điếc nghe được và người câm nói được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu từ địa hạt Tyrô, qua Siđon, đến gần biển Galilêa giữa miền thập tỉnh. Người ta đem một kẻ câm điếc đến cùng Người và xin Người đặt tay trên kẻ ấy. Người đem anh ta ra khỏi đám đông, đặt ngón tay vào tai anh và bôi nước miếng vào lưỡi anh ta. Ðoạn ngước mặt lên trời, Người thở dài và bảo: “Effetha!” (nghĩa là “Hãy mở ra!”), tức thì tai anh ta mở ra, và lưỡi anh ta được tháo gỡ, và anh nói được rõ ràng. Chúa Giêsu liền cấm họ đừng nói điều đó với ai. Nhưng Người càng cấm, thì họ càng loan truyền mạnh hơn. Họ đầy lòng thán phục mà rằng: “Người làm mọi sự tốt đẹp, Người làm cho kẻ điếc nghe được và người câm nói được!”","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Kn 9, 13-18","info":"“Ai có thể suy tưởng được sự Thiên Chúa muốn”.","title":"Trích sách Khôn Ngoan.","content":"Ai trong loài người có thể biết được ý định của Thiên Chúa? Hay ai có thể suy tưởng được sự Thiên Chúa muốn? Vì những ý tưởng của loài hay chết thì mập mờ, và những dự định của chúng tôi đều không chắc chắn. Vì xác hay hư nát làm cho linh hồn ra nặng nề, và nhà bụi đất làm cho lý trí hay lo lắng nhiều điều ra nặng nề.\rChúng tôi ước lượng cách khó khăn các việc dưới đất, và khó nhọc tìm thấy những sự trước mắt. Còn những sự trên trời, nào ai khám phá ra được? Ai hiểu thấu Thánh ý của Chúa, nếu Chúa không ban sự khôn ngoan, và không sai Thánh Thần Chúa từ trời cao xuống. Như thế, mọi đường lối những kẻ ở dưới đất được sửa lại ngay thẳng, và loài người học biết những sự đẹp lòng Chúa.\rVì, lạy Chúa, những ai sống đẹp lòng Chúa từ ban đầu, thì được ơn cứu độ nhờ sự khôn ngoan.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 3-4. 5-6. 12-13. 14 và 17","response":"Ðáp: Thân lạy Chúa, Ngài là chỗ chúng con dung thân, từ đời nọ trải qua đời kia (c. 1).","verses":["Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến cho con người trở về bụi đất, Ngài phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Chúa khiến họ trôi đi, họ như kẻ mơ màng buổi sáng, họ như cây cỏ mọc xanh tươi. Ban sáng cỏ nở hoa và xanh tốt, buổi chiều nó bị xén đi và nó héo khô.","Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chớ còn để tới bao giờ? xin tỏ lòng xót thương tôi tớ của Ngài.","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan trọn đời sống chúng con. Xin cho chúng con được hưởng ân sủng Chúa là Thiên Chúa chúng con, sự nghiệp tay chúng con làm ra, xin Ngài củng cố, xin Ngài củng cố sự nghiệp tay chúng con làm ra."]},"secondReading":{"excerpt":"Plm 9b-10. 12-17","info":"“Con hãy tiếp nhận nó không phải như một người nô lệ, nhưng như một người anh em rất thân mến”.","title":"Trích thư Thánh Phaolô Tông đồ gởi cho Philêmon.","content":"Con thân mến, Phaolô già nua, và hiện đang bị cầm tù vì Ðức Giêsu Kitô, cha nài xin con cho Ônêsimô, đứa con cha đã sinh ra trong xiềng xích.\rCha trao nó lại cho con. Phần con, con hãy đón nhận nó như ruột thịt của cha. Cha cũng muốn giữ nó lại để thay con mà giúp đỡ cha trong lúc cha bị xiềng xích vì Tin Mừng. Nhưng vì chưa biết ý con, nên cha không muốn làm gì, để việc nghĩa con làm là một việc tự ý, chớ không vì ép buộc. Vì biết đâu nó xa con một thời gian để rồi con sẽ tiếp nhận muôn đời, không phải như một người nô lệ, nhưng thay vì nô lệ, thì như một người anh em rất thân mến, đặc biệt đối với cha, huống chi là đối với con, về phần xác cũng như trong Chúa. Vậy nếu con nhận cha là bạn hữu, thì xin con hãy đón nhận nó như chính mình cha vậy.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 27","content":"Alleluia, Alleluia – Chúa phán: “Con chiên Ta thì nghe Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Lc 14, 25-33","info":"“Ai không từ bỏ tất cả của cải mình có, thì không thể làm môn đệ Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có nhiều đám đông cùng đi với Chúa Giêsu, Người ngoảnh lại bảo họ rằng: “Nếu ai đến với Ta mà không bỏ cha mẹ, vợ con, anh chị em và cả mạng sống mình, thì không thể làm môn đệ Ta. Còn ai không vác thập giá mình mà theo Ta, thì không thể làm môn đệ Ta.\r“Có ai trong các ngươi muốn xây tháp mà trước tiên không ngồi tính toán phí tổn cần thiết, xem có đủ để hoàn tất không? Kẻo đặt móng rồi mà không thể hoàn tất, thì mọi người xem thấy sẽ chế giễu người đó rằng: ‘Tên này khởi sự xây cất mà không hoàn thành nổi’.\r“Hoặc có vua nào sắp đi giao chiến với một vua khác, mà trước tiên không ngồi suy nghĩ xem mình có thể đem mười ngàn quân ra đương đầu với đối phương dẫn hai mươi ngàn quân tiến đánh mình chăng? Bằng chẳng nổi, thì khi đối phương còn ở xa, vua ấy sai một phái đoàn đến cầu hoà. Cũng thế, bất kỳ ai trong các ngươi không từ bỏ tất cả của cải mình có, thì không thể làm môn đệ Ta”.","end":"Ðó là lời Chúa"}}},
+        "5240": {"A":{"firstReading":{"excerpt":"Hc 27, 33 – 28, 9","info":"“Hãy tha thứ cho kẻ làm hại ngươi, thì khi ngươi cầu nguyện, ngươi sẽ được tha”.","title":"Trích sách Huấn Ca.","content":"Thịnh nộ và giận dữ, cả hai đều đáng ghê tởm, người có tội đều mắc cả hai. Ai muốn báo thù, sẽ bị Chúa báo thù, và Chúa nghiêm trị tội lỗi nó. Ngươi hãy tha thứ cho kẻ làm hại ngươi, thì khi ngươi cầu nguyện, ngươi sẽ được tha. Người này tích lòng giận ghét người kia, mà dám xin Chúa cứu chữa sao? Nó chẳng thương xót người đồng loại với nó, mà còn cầu xin tha thứ tội lỗi nó làm sao? Nó là xác thịt mà tích lòng thịnh nộ, thì dám xin Chúa tha thứ làm sao? Ai sẽ khẩn cầu cho tội ác nó?\rNgươi hãy nhớ đến điều sau hết, và chấm dứt hận thù: hãy nhớ đến sự hư nát và sự chết, hãy trung thành với các giới răn. Hãy nhớ kính sợ Thiên Chúa, và đừng giận ghét kẻ khác. Hãy nhớ đến giao ước của Ðấng Tối Cao, và hãy bỏ qua sự lầm lỗi của kẻ khác.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 9-10. 11-12","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã thứ tha cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân; Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Người không chấp tranh triệt để, cũng không đời đời giữ thế căm hờn. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi.","Xướng: Nhưng cũng như trời xanh cao vượt trên trái đất, lòng nhân hậu Người còn siêu việt hơn thế trên kẻ kính sợ Người. Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi."]},"secondReading":{"excerpt":"Rm 14, 7-9","info":"“Dù chúng ta sống hay chết, chúng ta đều thuộc về Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, không ai trong anh em được sống cho mình, và cũng không ai chết cho mình. Vì nếu chúng ta sống, là sống cho Chúa; nếu chúng ta chết, là chết cho Chúa. Vậy, dù sống hay chết, chúng ta đều thuộc về Chúa. Vì lẽ ấy, nếu Ðức Kitô đã chết và sống lại, là để cai trị kẻ sống và kẻ chết.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"Alleluia, Alleluia – Lạy Chúa, lời của Chúa là thần trí và là sự sống, Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 18, 21-35","info":"“Thầy không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Phêrô đến thưa cùng Chúa Giêsu rằng: “Lạy Thầy, khi anh em xúc phạm đến con, con phải tha thứ cho họ mấy lần. Có phải đến bảy lần không?” Chúa Giêsu đáp: “Thầy không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy.\r“Về vấn đề này, thì Nước Trời cũng giống như ông vua kia muốn tính sổ với các đầy tớ. Trước hết, người ta dẫn đến vua một người mắc nợ mười ngàn nén bạc. Người này không có gì trả, nên chủ ra lệnh bán y, vợ con và tất cả tài sản của y để trả hết nợ. Người đầy tớ liền sấp mình dưới chân chủ và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn và tôi sẽ trả cho ngài tất cả”. Người chủ động lòng thương, trả tự do và tha nợ cho y.\r“Khi ra về, tên đầy tớ gặp một người bạn mắc nợ y một trăm bạc: Y tóm lấy, bóp cổ mà nói rằng: “Hãy trả nợ cho ta”. Bấy giờ người bạn sấp mình dưới chân và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn, tôi sẽ trả hết nợ cho anh”. Y không nghe, bắt người bạn tống giam vào ngục, cho đến khi trả nợ xong.\r“Các bạn y chứng kiến cảnh tượng đó, rất khổ tâm, họ liền đi thuật với chủ tất cả câu truyện. Bấy giờ chủ đòi y đến vào bảo rằng: “Tên đầy tớ độc ác kia, ta đã tha hết nợ cho ngươi, vì ngươi đã van xin ta; còn ngươi, sao ngươi không chịu thương bạn ngươi như ta đã thương ngươi?” Chủ nổi giận, trao y cho lý hình hành hạ, cho đến khi trả hết nợ.\r“Vậy Cha Ta trên trời cũng xử với các con đúng như thế, nếu mỗi người trong các con không hết lòng tha thứ cho anh em mình”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 50, 5-9a","info":"“Tôi đã đưa lưng cho kẻ đánh tôi”.","title":"Trích sách Tiên tri Isaia.","content":"Thiên Chúa đã mở tai tôi mà tôi không cưỡng lại và cũng chẳng thối lui. Tôi đã đưa lưng cho kẻ đánh tôi, đã đưa má cho kẻ giật râu. Tôi đã không che mặt giấu mày, tránh những lời nhạo cười và những người phỉ nhổ tôi.\rVì Chúa nâng đỡ tôi, nên tôi không hổ thẹn: nên tôi trơ mặt chai như đá, tôi biết tôi sẽ không phải hổ thẹn. Ðấng xét tôi vô tội ở gần tôi, ai còn tranh tụng với tôi được? Chúng ta hầu toà, ai là kẻ thù địch của tôi, hãy đến đây! Này đây Chúa là Thiên Chúa bênh đỡ tôi, ai dám kết tội tôi?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 114, 1-2. 3-4. 5-6. 8-9","response":"Ðáp: Tôi sẽ tiến đi trước thiên nhan Chúa trong miền đất của nhân sinh (c. 9).","verses":["Xướng: Tôi yêu mến Chúa, vì Chúa đã nghe tiếng tôi cầu khẩn, vì Chúa đã lắng tai nghe lời tôi, trong ngày tôi kêu cầu Chúa.","Xướng: Thừng chão tử thần đã quấn lấy tôi, và màng lưới âm phủ đã chụp trên người tôi; tôi đã rơi vào cảnh lo âu khốn khó. Và tôi đã kêu cầu danh Chúa: “Ôi lạy Chúa, xin cứu vớt mạng sống con!”","Xướng: Chúa nhân từ và công minh, và Thiên Chúa của chúng ta rất từ bi. Chúa gìn giữ những người chất phác; tôi đau khổ và Người đã cứu thoát tôi.","Xướng: Bởi người đã cứu tôi khỏi tử thần, cho mắt tôi khỏi rơi lệ và chân tôi không quỵ ngã. Tôi sẽ tiến đi trước thiên nhan Chúa trong miền đất của nhân sinh."]},"secondReading":{"excerpt":"Gc 2, 14-18","info":"“Ðức tin không có việc làm là đức tin chết”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, nếu ai nói mình có đức tin, mà không hành động theo đức tin, thì nào có ích gì? Ðức tin như thế có thể cứu được nó ư? Nếu có anh chị em nào không cơm ăn áo mặc, mà có kẻ trong anh em lại bảo họ rằng: “Chúc anh chị em đi bình an, và ăn no mặc ấm”, mà anh em lại không cho họ những gì cần dùng cho thân xác, thì nào có ích gì?\rVề đức tin cũng vậy, nếu không có việc làm, là đức tin chết tận gốc rễ. Nhưng có người sẽ nói: “Anh, anh có đức tin; còn tôi, tôi có việc làm”. Anh hãy tỏ cho tôi thấy đức tin không việc làm của anh, và tôi sẽ lấy việc làm mà chỉ cho anh thấy đức tin của tôi.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 8, 27-35","info":"“Thầy là Ðấng Kitô. Con Người sẽ phải chịu khổ nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu cùng các môn đệ đi về phía những làng nhỏ miền Cêsarê thuộc quyền Philipphê. Dọc đường, Người hỏi các ông rằng: “Người ta bảo Thầy là ai?” Các ông đáp lại rằng: “Thưa là Gioan tẩy giả. Một số bảo là Êlia, một số khác lại cho là một trong các vị tiên tri”. Bấy giờ Người hỏi: “Còn các con, các con bảo Thầy là ai?” Phêrô lên tiếng đáp: “Thầy là Ðấng Kitô”. Người liền nghiêm cấm các ông không được nói về Người với ai cả.\rVà Người bắt đầu dạy các ông biết Con Người sẽ phải chịu đau khổ nhiều, sẽ bị các kỳ lão, các trưởng tế, các luật sĩ chối bỏ và giết đi, rồi sau ba ngày sẽ sống lại. Người công khai tuyên bố các điều đó. Bấy giờ Phêrô kéo Người lui ra mà can trách Người. Nhưng Người quay lại nhìn các môn đệ và quở trách Phêrô rằng: “Satan, hãy lui đi! vì ngươi không biết việc Thiên Chúa, mà chỉ biết việc loài người”.\rNgười tập họp dân chúng cùng các môn đệ lại, và phán: “Ai muốn theo Ta, hãy từ bỏ mình, vác thập giá mình mà theo Ta. Quả thật, ai muốn cứu mạng sống mình, thì sẽ mất. Còn ai chịu mất mạng sống mình vì Ta và vì Tin Mừng, thì sẽ cứu được mạng sống mình”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Xh 32, 7-11. 13-14","info":"“Chúa đã nguôi cơn giận, không thực hiện điều dữ mà Người đe doạ phạt dân Người”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Chúa phán cùng Môsê rằng: “Ngươi hãy đi xuống; dân mà ngươi dẫn ra khỏi đất Ai-cập đã phạm tội. Chúng đã sớm bỏ đường lối Ta đã chỉ dạy cho chúng, chúng đã đúc tượng bò con và sấp mình thờ lạy nó; chúng đã dâng lên nó của lễ hiến tế và nói rằng: “Hỡi Israel, này là Thiên Chúa ngươi, Ðấng đã đưa ngươi ra khỏi đất Ai-cập”. Chúa phán cùng Môsê: “Ta thấy rõ dân này là một dân cứng cổ. Ngươi hãy để Ta làm, Ta sẽ nổi cơn thịnh nộ với chúng và sẽ huỷ diệt chúng, rồi Ta sẽ làm cho ngươi trở nên tổ phụ một dân tộc vĩ đại”.\rMôsê van xin Chúa là Thiên Chúa của ông rằng: “Lạy Chúa, tại sao Chúa nổi cơn thịnh nộ với dân mà Chúa đã dùng quyền lực và cánh tay hùng mạnh đưa ra khỏi đất Ai-cập? Xin Chúa nhớ đến Abraham, Isaac và Israel tôi tớ Chúa, vì chính Chúa đã thề hứa rằng: “Ta sẽ làm cho con cháu các ngươi sinh sản ra nhiều như sao trên trời. Ta sẽ ban cho con cháu các ngươi toàn cõi xứ này như lời Ta đã hứa, và các ngươi sẽ chiếm hữu xứ này mãi mãi”. Chúa đã nguôi cơn giận, không thực hiện điều dữ mà Người đe doạ phạt dân Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 12-13. 17 và 19","response":"Ðáp: Tôi sẽ chỗi dậy và đi về cùng cha tôi (Lc 15, 18).","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng:  Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng:  Lạy Chúa, xin mở môi con, miệng con sẽ loan truyền lời ca khen. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát, lạy Chúa, xin đừng chê tấm lòng tan nát khiêm cung."]},"secondReading":{"excerpt":"1 Tm 1, 12-17","info":"“Ðức Giêsu Kitô đã đến trong thế gian để cứu độ những người tội lỗi”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Cha cảm tạ Ðấng đã ban sức mạnh cho cha là Ðức Giêsu Kitô, Chúa chúng ta, vì Người đã kể cha là người trung tín, khi đặt cha thi hành chức vụ: dù trước kia cha là kẻ nói phạm thượng, bắt đạo và kiêu căng, nhưng cha đã được Thiên Chúa thương xót, vì cha vô tình làm những sự ấy trong lúc cha chưa tin. Nhưng ân sủng của Chúa chúng ta đã tràn lan dồi dào cùng với đức tin và đức mến trong Ðức Giêsu Kitô.\rLời nói chân thật và đáng tiếp nhận mọi đàng là: Ðức Giêsu Kitô đã đến trong thế gian này để cứu độ những người tội lỗi, trong số ấy, cha là người thứ nhất. Vì thế, cha được hưởng nhờ ơn thương xót, là Ðức Giêsu Kitô tỏ ra tất cả lòng khoan dung trong cha trước hết, để nêu gương cho những ai sẽ tin vào Người hầu được sống đời đời.\rDanh dự và vinh quang (xin dâng về) Thiên Chúa độc nhất, hằng sống, vô hình, là Vua muôn đời. Amen!","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 15, 1-10 {hoặc 1-32}","info":"“Trên trời sẽ vui mừng vì một người tội lỗi hối cải”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người thâu thuế và những người tội lỗi đến gần Chúa Giêsu để nghe Người giảng. Thấy vậy, những người biệt phái và luật sĩ lẩm bẩm rằng: “Ông này đón tiếp những kẻ tội lỗi, cùng ngồi ăn uống với chúng”.\rBấy giờ Người phán bảo họ dụ ngôn này: “Ai trong các ông có một trăm con chiên, và nếu mất một con, lại không để chín mươi chín con khác trong hoang địa mà đi tìm con chiên lạc, cho đến khi tìm được sao? Và khi đã tìm thấy, người đó vui mừng vác chiên trên vai, trở về nhà, kêu bạn hữu và những người lân cận mà nói rằng: “Anh em hãy chia vui với tôi, vì tôi đã tìm thấy con chiên lạc!” Cũng vậy, Tôi bảo các ông: “Trên trời sẽ vui mừng vì một người tội lỗi hối cải hơn là vì chín mươi chín người công chính không cần hối cải.\r“Hay là người đàn bà nào có mười đồng bạc, nếu mất một đồng, mà lại không đốt đèn, quét nhà và tìm kỹ lưỡng cho đến khi tìm thấy sao? Và khi đã tìm thấy, bà mời các chị em bạn và những người láng giềng đến mà rằng: ‘Chị em hãy vui mừng với tôi, vì tôi đã tìm được đồng bạc tôi đã mất’. Cũng vậy, Tôi bảo các ông: Các Thiên Thần của Thiên Chúa sẽ vui mừng vì một người tội lỗi hối cải”.\r{Người lại phán rằng: “Người kia có hai con trai. Ðứa em đến thưa cha rằng: ‘Thưa cha, xin cha cho con phần gia tài thuộc về con’. Người cha liền chia gia tài cho các con. Ít ngày sau, người em thu nhặt tất cả tiền của mình, trẩy đi miền xa và ở đó ăn chơi xa xỉ, phung phí hết tiền của. Khi nó tiêu hết tiền của, thì vừa gặp nạn đói lớn trong miền đó và nó bắt đầu cảm thấy túng thiếu. Nó vào giúp việc cho một người trong miền, người này sai nó ra đồng chăn heo. Nó muốn ăn những đồ heo ăn cho đầy bụng, nhưng cũng không ai cho. Bấy giờ nó muốn hồi tâm lại và tự nhủ: “Biết bao người làm công ở nhà cha tôi được ăn dư dật, còn tôi, tôi ở đây phải chết đói! Tôi muốn ra đi, trở về với cha tôi và thưa người rằng: ‘Lạy cha, con đã lỗi phạm đến Trời và đến cha; con không đáng được gọi là con cha nữa, xin cha đối xử với con như một người làm công của cha’. Vậy nó ra đi và trở về với cha nó. Khi nó còn ở đàng xa, cha nó chợt trông thấy, liền động lòng thương; ông chạy lại ôm choàng lấy cổ nó hồi lâu. Người con trai lúc đó thưa rằng: ‘Lạy cha, con đã lỗi phạm đến Trời và đến cha; con không đáng được gọi là con cha nữa’. Nhưng người cha bảo các đầy tớ: ‘Mau mang áo đẹp nhất ra đây và mặc cho cậu, hãy đeo nhẫn vào ngón tay cậu và xỏ giầy vào chân cậu. Hãy bắt con bê béo làm thịt để chúng ta ăn mừng, vì con ta đây đã chết, nay sống lại, đã mất nay lại tìm thấy’. Và người ta bắt đầu ăn uống linh đình.\r“Người con cả đang ở ngoài đồng. Khi về gần đến nhà, nghe tiếng đàn hát và nhảy múa, anh gọi một tên đầy tớ để hỏi xem có chuyện gì. Tên đầy tớ nói: ‘Ðó là em cậu đã trở về và cha cậu đã giết con bê béo, vì thấy cậu ấy trở về mạnh khoẻ’. Anh liền nổi giận và quyết định không vào nhà. Cha anh ra xin anh vào. Nhưng anh trả lời: ‘Cha coi, đã bao năm con hầu hạ cha, không hề trái lệnh cha một điều nào, mà không bao giờ cha cho riêng con một con bê nhỏ để ăn mừng với chúng bạn, còn thằng con của cha kia, sau khi phung phí hết tài sản của cha với bọn điếm, nay trở về, thì cha lại sai làm thịt con bê béo ăn mừng nó’.\r“Nhưng người cha bảo: ‘Hỡi con, con luôn ở với cha, và mọi sự của cha đều là của con. Nhưng phải ăn tiệc mừng, vì em con đã chết nay sống lại, đã mất nay lại tìm thấy'”.}","end":"Ðó là lời Chúa"}}}
+    }
+});
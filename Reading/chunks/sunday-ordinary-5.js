@@ -0,0 +1,11 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-ordinary-5", {
+    "SUNDAY": {
+        "5250": {"A":{"firstReading":{"excerpt":"Is 55, 6-9","info":"“Tư tưởng Ta không phải là tư tưởng các ngươi”.","title":"Trích sách Tiên tri Isaia.","content":"Hãy tìm Chúa khi còn tìm được, hãy kêu cầu Người khi Người còn ở gần. Kẻ gian ác, hãy bỏ đường lối mình, và kẻ bất lương, hãy bỏ những tư tưởng mình, hãy trở về với Chúa, thì Người sẽ thương xót; hãy trở về với Thiên Chúa chúng ta, vì Chúa rộng lòng tha thứ.\rVì tư tưởng Ta không phải là tư tưởng các ngươi, và đường lối các ngươi không phải là đường lối của Ta, Chúa phán như vậy. Như trời cao hơn đất thế nào, thì đường lối Ta vượt trên đường lối các ngươi, và tư tưởng Ta cũng vượt trên tư tưởng các ngươi thế ấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 2-3. 8-9. 17-18","response":"Ðáp: Chúa ở gần mọi kẻ kêu cầu Người","verses":["Xướng: Hằng ngày tôi sẽ chúc tụng Chúa, và tôi sẽ khen ngợi danh Chúa tới muôn đời. Chúa vĩ đại và rất đáng ngợi khen, sự vĩ đại của Chúa không thể đo lường được.","Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi người, và từ bi với mọi công cuộc của Chúa.","Xướng: Chúa công minh trong mọi đường lối, và thánh thiện trong việc Chúa làm. Chúa gần gũi mọi kẻ kêu cầu Người, mọi kẻ kêu cầu Người cách thành tâm."]},"secondReading":{"excerpt":"Pl 1, 20c-24. 27a","info":"“Ðối với tôi, sống là Ðức Kitô”","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, dù tôi sống hay tôi chết, Ðức Kitô sẽ được vẻ vang trong thân xác tôi. Vì đối với tôi, sống là Ðức Kitô, còn chết là một mối lợi. Nhưng nếu sống trong xác thịt này đem lại cho tôi kết quả trong việc làm, thì tôi không biết phải chọn đàng nào. Tôi đang lúng túng trong hai điều này: là ước ao chết để được ở với Ðức Kitô thì tốt hơn bội phần, nhưng cứ ở lại trong xác thịt thì cần thiết cho anh em. Anh em hãy sống xứng đáng với Tin Mừng của Ðức Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến; bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Mt 20, 1-16a","info":"“Hay mắt bạn ganh tị, vì tôi nhân lành chăng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này rằng: “Nước trời giống như chủ nhà kia sáng sớm ra thuê người làm vườn nho mình. Khi đã thoả thuận với những người làm thuê về tiền công nhật là một đồng, ông sai họ đến vườn của ông. Khoảng giờ thứ ba, ông trở ra, thấy có những người khác đứng không ngoài chợ, ông bảo họ rằng: “Các ngươi cũng hãy đi làm vườn nho ta, ta sẽ trả công cho các ngươi xứng đáng”. Họ liền đi. Khoảng giờ thứ sáu và thứ chín, ông cũng trở ra và làm như vậy.\rÐến khoảng giờ thứ mười một ông lại trở ra, và thấy có kẻ đứng đó, thì bảo họ rằng: “Sao các ngươi đứng nhưng không ở đây suốt ngày như thế?” Họ thưa rằng: “Vì không có ai thuê chúng tôi”. Ông bảo họ rằng: “Các ngươi cũng hãy đi làm vườn nho ta”.\rÐến chiều chủ vườn nho bảo người quản lý rằng: “Hãy gọi những kẻ làm thuê mà trả tiền công cho họ, từ người đến sau hết tới người đến trước hết.” Vậy những người làm từ giờ thứ mười một đến, lãnh mỗi người một đồng.\rTới phiên những người đến làm trước, họ tưởng sẽ lãnh được nhiều hơn, nhưng họ cũng chỉ lãnh mỗi người một đồng. Ðang khi lãnh liền, họ lẩm bẩm trách chủ nhà rằng: “Những người đến sau hết chỉ làm có một giờ, chúng tôi chịu nắng nôi khó nhọc suốt ngày mà ông kể họ bằng chúng tôi sao”? Chủ nhà trả lời với một kẻ trong nhóm họ rằng: “Này bạn, tôi không làm thiệt hại bạn đâu, chớ thì bạn đã không thoả thuận với tôi một đồng sao?” Bạn hãy lấy phần bạn mà đi về, tôi muốn trả cho người đến sau hết bằng bạn, nào tôi chẳng được phép làm như ý tôi muốn sao? Hay mắt bạn ganh tị, vì tôi nhân lành chăng? Như thế, kẻ sau hết sẽ nên trước hết, và kẻ trước hết sẽ nên sau hết”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Kn 2, 12. 17-20","info":"“Chúng ta hãy kết án cho nó chết cách nhục nhã”.","title":"Trích sách Khôn Ngoan","content":"(Những kẻ gian ác nói rằng:) “Chúng ta hãy vây bắt kẻ công chính, vì nó không làm ích gì cho chúng ta, mà còn chống đối việc chúng ta làm, khiển trách chúng ta lỗi luật và tố cáo chúng ta vô kỷ luật. Vậy chúng ta hãy xem điều nó nói có thật hay không, hãy nghiệm xét coi những gì sẽ xảy đến cho nó, và hãy chờ xem chung cuộc đời nó sẽ ra sao. Vì nếu nó thật là con Thiên Chúa, Chúa sẽ bênh vực nó, sẽ giải thoát nó khỏi tay những kẻ chống đối nó. Chúng ta hãy nhục mạ và làm khổ nó, để thử xem nó có hiền lành và nhẫn nại không. Chúng ta hãy kết án cho nó chết cách nhục nhã, vì theo lời nó nói, thì người ta sẽ cứu nó!”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 53, 3-4. 5. 6 và 8","response":"Ðáp: Chúa đang nâng đỡ tâm hồn con (c. 6b).","verses":["Xướng: Ôi Thiên Chúa, xin cứu sống con nhân danh Ngài, và xin sử dụng uy quyền phán quyết cho con! Ôi Thiên Chúa, xin nghe tiếng con cầu, xin lắng tai nghe lời miệng con xin.","Xướng: Vì những kẻ kiêu căng nổi lên chống đối, và bọn người hung hãn tìm sát hại con, bọn chúng không nhớ Thiên Chúa ở trước mặt mình.","Xướng: Kìa, Thiên Chúa phù trợ con, Chúa đang nâng đỡ tâm hồn con. Con sẽ tự nguyện hiến dâng lễ vật lên Chúa. Lạy Chúa, con sẽ ca tụng danh Ngài, vì danh Ngài thiện hảo."]},"secondReading":{"excerpt":"Gc 3, 16 – 4, 3","info":"“Hoa quả của công chính được gieo vãi trong bình an cho những người xây đắp an bình”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, ở đâu có ganh tị và cãi vã, ở đó có hỗn độn và đủ thứ tệ đoan. Nhưng sự khôn ngoan từ trời xuống, thì trước tiên là trong trắng, rồi ôn hoà, bao dung, nhu mì, hướng thiện, đầy lòng nhân từ và hoa quả tốt lành, không xét đoán thiên vị, không giả dối. Hoa quả của công chính được gieo vãi trong bình an cho những người xây đắp an bình.\rBởi đâu anh em cạnh tranh và cãi cọ nhau? Nào không phải tại điều này: tức tại các đam mê đang giao chiến trong chi thể anh em đó sao? Anh em ham muốn mà không được hưởng, nên anh em giết nhau. Anh em ganh tị mà không được mãn nguyện, nên anh em cạnh tranh và cãi cọ. Anh em không có là tại anh em không xin. Anh em xin mà không nhận được, là vì anh em xin không đúng, cứ mơ tưởng thoả mãn các đam mê của anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 8, 12","content":"Alleluia, Alleluia – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mc 9, 29-36","info":"“Con Người sẽ bị nộp. Ai muốn làm lớn nhất, thì hãy tự làm người rốt hết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ từ trên núi xuống, rồi đi ngang qua xứ Galilêa và Người không muốn cho ai biết. Vì Người dạy dỗ và bảo các ông rằng: “Con Người sẽ bị nộp vào tay người ta và họ sẽ giết Người. Khi đã bị giết, ngày thứ ba, Người sẽ sống lại”. Nhưng các ông không hiểu lời đó và sợ không dám hỏi Người.\rCác ngài tới Capharnaum. Khi đã vào nhà, Người hỏi các ông: “Dọc đàng các con tranh luận gì thế?” Các ông làm thinh, vì dọc đàng các ông tranh luận xem ai là người lớn nhất. Bấy giờ Người ngồi xuống, gọi mười hai ông lại và bảo các ông rằng: “Ai muốn làm lớn nhất, thì hãy tự làm người rốt hết và làm đầy tớ mọi người”. Rồi Người đem một em bé lại đặt giữa các ông, ôm nó mà nói với các ông rằng: “Ai đón nhận một trong những trẻ nhỏ như thế này vì danh Thầy, tức là đón tiếp chính mình Thầy. Và ai đón tiếp Thầy, thực ra không phải đón tiếp Thầy, nhưng là đón tiếp Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Am 8, 4-7","info":"“Chống lại những kẻ lấy tiền mua người nghèo”.","title":"Trích sách Tiên tri Amos.","content":"Hãy nghe đây, hỡi những ai đàn áp kẻ nghèo khó, và muốn tiêu diệt hết những kẻ bần cùng trong cả nước. Các ngươi bảo: “Bao giờ qua tuần trăng mới để chúng tôi bán hàng? Khi nào hết ngày Sabbat để chúng tôi bán lúa mạch. Chúng tôi sẽ giảm lường đong, tăng giá và làm cân giả. Chúng tôi sẽ lấy tiền mua người nghèo, lấy đôi dép đổi lấy người túng thiếu. Chúng tôi sẽ bán lúa mục nát”. Vì Giacóp kiêu căng, Chúa đã thề rằng: “Ta sẽ không bao giờ lãng quên tất cả các việc chúng làm cho đến cùng”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 4-6. 7-8","response":"Ðáp: Hãy ngợi khen Chúa, Ðấng nâng cao kẻ túng thiếu (c. 1a & 7b).","verses":["Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa. Nguyện danh Chúa được chúc tụng từ bây giờ và cho đến muôn đời.","Xướng: Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời là vinh quang của Chúa... và Người để mắt nhìn coi khắp cả trên trời dưới đất.","Xướng: Người nâng cao kẻ túng thiếu từ chỗ bụi tro, và cất nhắc bạn cơ bần từ nơi phẩn thổ, hầu cho họ ngồi với những bậc quân vương, với những bậc quân vương của dân Người."]},"secondReading":{"excerpt":"1 Tm 2, 1-8","info":"“Cầu nguyện cùng Thiên Chúa cho mọi người. Ngài muốn cho mọi người được cứu độ”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gởi Timôthêu.","content":"Trước tiên, cha khuyên hãy cầu xin, khẩn nguyện, kêu van và tạ ơn cho mọi người: cho vua chúa, và tất cả những bậc vị vọng, để chúng ta được sống bằng yên vô sự, trong tinh thần đạo đức và thanh sạch. Ðó là điều tốt lành và đẹp lòng Ðấng Cứu Ðộ chúng ta là Thiên Chúa. Người muốn cho mọi người được cứu rỗi và đến nhận biết chân lý.\rVì chỉ có một Thiên Chúa, và một Ðấng Trung Gian giữa Thiên Chúa và loài người, là Ðức Giêsu Kitô, cũng là con người. Người đã phó mình làm giá cứu chuộc thay cho mọi người, để nên chứng tá trong thời của Người, mà vì chứng tá đó, cha đã được đặt lên làm kẻ rao giảng, làm Tông đồ (cha nói thật chứ không nói dối), và làm Thầy dạy dân ngoại trong đức tin và chân lý. Vậy cha muốn rằng những người đàn ông cầu nguyện trong mọi nơi, hãy giơ lên hai tay thanh sạch, không oán hờn và cạnh tranh.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 17, 17b và a","content":"Alleluia, Alleluia – Chúa phán: “Lời Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia."},"gospel":{"excerpt":"Lc 16, 10-13 {hoặc 1-13}","info":"“Các con không thể làm tôi Thiên Chúa mà lại làm tôi tiền của được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: {“Một người phú hộ kia có một người quản lý, và người này bị tố cáo đã phung phí của chủ. Ông chủ gọi người quản lý đến và bảo rằng: ‘Tôi nghe nói anh sao đó? Anh hãy tính sổ công việc quản lý của anh, vì từ nay, anh không thể làm quản lý nữa’. Người quản lý nghĩ thầm rằng: ‘Tôi phải làm thế nào, vì chủ tôi cất chức quản lý của tôi? Cuốc đất thì không nổi, ăn mày thì hổ ngươi. Tôi biết phải liệu thế nào, để khi mất chức quản lý, thì sẽ có người đón tiếp tôi về nhà họ’.\r“Vậy anh gọi từng con nợ của chủ đến và hỏi người thứ nhất rằng: ‘Anh mắc nợ chủ tôi bao nhiêu?’ Người ấy đáp: ‘Một trăm thùng dầu’. Anh bảo người ấy rằng: ‘Anh hãy lấy văn tự, ngồi xuống mau mà viết lại: năm mươi’. Rồi anh hỏi người khác rằng: ‘Còn anh, anh mắc nợ bao nhiêu?’ Người ấy đáp: ‘Một trăm giạ lúa miến’. Anh bảo người ấy rằng: ‘Anh hãy lấy văn tự mà viết lại: tám mươi’. Và chủ khen người quản lý bất lương đó đã hành động cách khôn khéo: vì con cái đời này khi đối xử với đồng loại thì khôn khéo hơn con cái sự sáng.\r“Phần Thầy, Thầy bảo các con: Hãy dùng tiền của gian dối mà mua lấy bạn hữu, để khi mất hết tiền bạc, thì họ sẽ đón tiếp các con vào chốn an nghỉ đời đời.}\r“Ai trung tín trong việc nhỏ, thì cũng trung tín trong việc lớn; ai gian dối trong việc nhỏ, thì cũng gian dối trong việc lớn. Vậy nếu các con không trung thành trong việc tiền của gian dối, thì ai sẽ giao phó của chân thật cho các con?\r“Không đầy tớ nào có thể làm tôi hai chủ: vì hoặc nó ghét chủ này và mến chủ kia; hoặc phục chủ này và khinh chủ nọ. Các con không thể làm tôi Thiên Chúa mà lại làm tôi tiền của được”.","end":"Ðó là lời Chúa"}}},
+        "5260": {"A":{"firstReading":{"excerpt":"Ed 18, 25-28","info":"“Nếu kẻ gian ác bỏ đàng gian ác nó đã đi, nó sẽ được sống”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Ðây Chúa phán: “Các ngươi đã nói rằng: “Ðường lối của Chúa không chính trực”. Vậy hỡi nhà Israel, hãy nghe đây: Có phải đường lối của Ta không chính trực ư? Hay trái lại đường lối của các ngươi không chính trực? Khi người công chính từ bỏ lẽ công chính và phạm tội ác, nó phải chết, chính vì tội ác nó phạm mà nó phải chết. Nếu kẻ gian ác bỏ đàng gian ác nó đã đi, và thực thi công bình chính trực, nó sẽ được sống. Nếu nó suy nghĩ và từ bỏ mọi tội ác nó đã phạm, nó sẽ sống chớ không phải chết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5. 6-7. 8-9","response":"Ðáp: Lạy Chúa, xin hãy nhớ lòng thương xót của Chúa","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa; xin dạy bảo con về lối bước của Ngài. Xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con, và con luôn luôn cậy trông vào Chúa.","Xướng: Lạy Chúa, xin hãy nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin đừng nhớ lỗi lầm khi con còn trẻ và tội ác, nhưng hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho con nhận biết đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài."]},"secondReading":{"excerpt":"Pl 2, 1-5 {hoặc 1-11}","info":"“Anh em hãy cảm nghĩ trong anh em điều đã có trong Ðức Giêsu Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, nếu có sự an ủi nào trong Ðức Kitô, nếu có sự khích lệ nào trong đức mến, nếu có sự hiệp nhất nào trong Thánh Thần, nếu có lòng thương xót nào, thì anh em hãy làm cho tôi được trọn niềm hân hoan, để anh em hưởng cùng một niềm vui, được cùng chung một lòng mến, được đồng tâm nhất trí với nhau, chớ làm điều gì bởi ý cạnh tranh hay bởi tìm hư danh, nhưng hãy lấy lòng khiêm nhường mà coi kẻ khác vượt trổi hơn mình, mỗi người đừng chỉ nghĩ đến những sự thuộc về mình, nhưng hãy nghĩ đến những sự thuộc về kẻ khác. Anh em hãy cảm nghĩ trong anh em điều đã có trong Ðức Giêsu Kitô.\r{Người tuy là thân phận Thiên Chúa, đã không nghĩ phải dành cho được ngang hàng với Thiên Chúa; trái lại, Người huỷ bỏ chính mình mà nhận lấy thân phận tôi đòi, đã trở nên giống như loài người với cách thức bề ngoài như một người phàm. Người đã tự hạ mình mà vâng lời cho đến chết, và chết trên thập giá. Vì thế, Thiên Chúa đã tôn vinh Người, và ban cho Người một danh hiệu vượt trên mọi danh hiệu, để khi nghe tên Giêsu, mọi loài trên trời dưới đất và trong hoả ngục phải quỳ gối xuống, và mọi miệng lưỡi phải tuyên xưng Ðức Giêsu Kitô là Chúa, để Thiên Chúa Cha được vinh quang.}","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mt 21, 28-32","info":"“Nó hối hận và đi làm. Những người thu thuế và gái điếm sẽ vào nước Thiên Chúa trước các ông”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các thượng tế và các kỳ lão trong dân rằng: “Các ông nghĩ sao? Người kia có hai người con. Ông đến với đứa con thứ nhất và bảo: “Này con, hôm nay con hãy đi làm vườn nho cho cha!” Nó thưa lại rằng: “Con không đi”. Nhưng sau nó hối hận và đi làm. Ông đến gặp đứa con thứ hai và cũng nói như vậy. Nó thưa lại rằng: “Thưa cha, vâng, con đi”. Nhưng nó lại không đi. Ai trong hai người con đã làm theo ý cha mình?” Họ đáp: “Người con thứ nhất”. Chúa Giêsu bảo họ: “Tôi bảo thật các ông, những người thu thuế và gái điếm sẽ vào nước Thiên Chúa trước các ông. Vì Gioan đã đến với các ông trong đường công chính, và các ông không tin ngài; nhưng những người thu thuế và gái điếm đã tin ngài. Còn các ông, sau khi xem thấy điều đó, các ông cũng không hối hận mà tin ngài”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ds 11, 25-29","info":"“Ngươi phân bì giùm ta làm chi? Ước gì toàn dân được nói tiên tri”.","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, Chúa ngự xuống trong đám mây, và phán cùng Môsê, đồng thời lấy thần trí trong Môsê mà phân phát cho bảy mươi vị bô lão. Khi Thần Trí ngự trên các ông, các ông liền nói tiên tri, và về sau các ông không mất ơn ấy.\rVậy có hai vị ở lại trong lều trại, một người tên là El-đad, và người kia tên là Mê-đad. Thần Trí đã ngự trên hai ông: vì hai ông được ghi tên vào sổ, nhưng không đến ở trong nhà xếp. Khi hai ông nói tiên tri trong lều trại, thì có đứa trẻ chạy đến báo tin cho ông Môsê rằng: “El-đad và Mê-đad đang nói tiên tri trong lều trại”. Tức thì Giosuê, con ông Nun, tuỳ tùng của ông Môsê, và là kẻ được chọn trong số đông người, liền thưa rằng: “Hỡi ông Môsê, xin hãy cấm chỉ các ông ấy đi”. Ông Môsê đáp lại rằng: “Ngươi phân bì giùm ta làm chi? Chớ gì toàn dân được nói tiên tri và Chúa ban Thần Trí Người cho họ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 10. 12-13. 14","response":"Ðáp: Giới răn Chúa chính trực, làm hoan lạc tâm can (c. 9a).","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thật, công minh hết thảy.","Xướng: Dù tôi tớ Chúa quan tâm về những điều luật đó, lại hết sức ân cần tuân giữ, nhưng có nhiều chuyện lầm lỗi, nào ai hay? Xin rửa con sạch những lỗi lầm không nhận thấy.","Xướng: Cũng xin ngăn ngừa tôi tớ Chúa khỏi tính kiêu căng, đừng để tính đó làm chủ trong mình con. Lúc đó con sẽ được tinh toàn và thanh khiết, khỏi điều tội lỗi lớn lao."]},"secondReading":{"excerpt":"Gc 5, 1-6","info":"“Của cải các ngươi bị mục nát”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Này đây, hỡi những người giàu có, các ngươi hãy than khóc kêu la, vì các tai hoạ sắp giáng xuống trên các ngươi. Của cải các ngươi bị mục nát, áo quần các ngươi đã bị mối mọt gặm. Vàng bạc của các ngươi đã bị ten sét, và ten sét sẽ là bằng chứng tố cáo các ngươi, và sẽ ăn thịt các ngươi như lửa đốt. Các ngươi đã tích trữ cho các ngươi cơn thịnh nộ trong ngày sau hết. Này tiền công thợ gặt ruộng cho các ngươi mà các ngươi đã gian lận, tiền đó đang kêu gào và tiếng kêu gào của người thợ gặt đã lọt thấu đến tai Chúa các đạo binh. Các ngươi đã ăn uống say sưa ở đời này, lòng các ngươi đã tận hưởng khoái lạc trong ngày sát hại. Các ngươi đã lên án và giết chết người công chính, vì họ đã không kháng cự lại các ngươi.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 15, 15b","content":"alleluia – Chúa phán: ” Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Mc 9, 37-42. 44. 46-47","info":"“Ai chẳng chống đối các con, là ủng hộ các con. Nếu tay con nên dịp tội cho con, hãy chặt tay đó đi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Gioan thưa cùng Chúa Giêsu rằng: “Lạy Thầy, chúng con thấy có kẻ nhân danh Thầy mà trừ quỷ, kẻ đó không theo chúng ta, và chúng con đã ngăn cấm y”. Nhưng Chúa Giêsu phán: “Ðừng ngăn cấm y, vì chẳng ai có thể nhân danh Thầy mà làm phép lạ, rồi liền đó lại nói xấu Thầy. Ai chẳng chống đối các con, là ủng hộ các con. Ai nhân danh Thầy mà cho các con một ly nước vì lẽ các con thuộc về Ðấng Kitô, Thầy bảo thật các con: kẻ đó sẽ không mất phần thưởng đâu. Nhưng nếu kẻ nào làm cớ vấp phạm cho một trong những kẻ bé mọn có lòng tin Thầy, thà buộc thớt cối xay vào cổ người ấy mà xô xuống biển thì hơn.\r“Nếu tay con nên dịp tội cho con, hãy chặt tay đó đi: thà con mất một tay mà được vào cõi sống, còn hơn là có đủ hai tay mà phải vào hoả ngục, trong lửa không hề tắt. Và nếu chân con làm dịp tội cho con, hãy chặt chân đó đi: thà con mất một chân mà được vào cõi sống, còn hơn là có đủ hai chân mà phải ném xuống hoả ngục. Và nếu mắt con làm dịp tội cho con, hãy móc mắt đó đi, thà con còn một mắt mà vào nước Thiên Chúa, còn hơn là có đủ hai mắt mà phải ném xuống hoả ngục, nơi mà dòi bọ rúc rỉa nó không hề chết và lửa không hề tắt”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Am 6, 1a. 4-7","info":"“Các ngươi đã mê đắm và ca hát, giờ đây các ngươi bị lưu đày.","title":"Trích sách Tiên tri Amos.","content":"Ðây Chúa toàn năng phán: “Khốn cho các ngươi là những kẻ phú quý ở Sion, và tự kiêu trên núi Samaria. Các ngươi đã nằm ngủ trên giường ngà, mê đắm trên ghế dài: ăn chiên con trong đoàn và bê béo trong đàn; và ca hát theo tiếng đàn cầm thụ; người ta nghĩ mình như Ðavit, có những nhạc khí, dùng chén lớn uống rượu, lấy dầu hảo hạng xức lên mình, và chẳng thương hại gì đến nỗi băn khoăn của Giuse; vì thế, giờ đây họ phải lưu đày và đi đầu các kẻ lưu đày; những buổi yến tiệc của các kẻ buông tuồng sẽ không còn nữa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","response":"Ðáp: Linh hồn tôi ơi, hãy ngợi khen Chúa (c. 2a).","verses":["Xướng: Chúa là Ðấng trả lại quyền lợi cho người bị ức, và ban cho những người đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội.","Xướng: Thiên Chúa mở mắt những kẻ đui mù; Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục; Thiên Chúa yêu quý các bậc hiền nhân; Thiên Chúa che chở những khách kiều cư.","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời, Sion hỡi, Thiên Chúa của ngươi sẽ làm vua tự đời này sang đời khác."]},"secondReading":{"excerpt":"1 Tm 6, 11-16","info":"“Con hãy gìn giữ huấn lệnh cho tới ngày Chúa lại đến”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Hỡi người của Thiên Chúa, hãy theo đuổi đức công chính, lòng đạo hạnh, đức tin, đức ái, đức nhẫn nại, đức hiền lành. Con hãy chiến đấu trong cuộc chiến đấu chính nghĩa của đức tin. Hãy cố đoạt lấy sự sống đời đời mà con đã được kêu gọi tới và cũng vì đó, con đã mạnh dạn tuyên xưng đức tin trước mặt nhiều nhân chứng. Cha chỉ thị cho con trước mặt Thiên Chúa, Ðấng làm cho muôn vật được sống, và trước mặt Ðức Giêsu Kitô, Ðấng đã làm trước mặt Phongxiô Philatô, lời tuyên xưng thẳng thắn, con hãy giữ gìn huấn lệnh đó cho tinh tuyền và không thể trách được, cho tới ngày Chúa chúng ta là Ðức Giêsu Kitô lại đến, mà đến thời đã định, Ðấng phúc lộc và quyền năng duy nhất sẽ tỏ ra, Người là Thiên Chúa, Vua các vua và Chúa các chúa, Ðấng độc nhất trường sinh bất tử, Người ngự trong ánh sáng siêu phàm, không một ai trong loài người đã xem thấy hay có thể xem thấy: (kính chúc) vinh dự và quyền năng cho Người muôn đời. Amen!","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang nghe, Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 16, 19-31","info":"“Ngươi đã được sự lành, còn Ladarô gặp toàn sự khốn khổ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng những người biệt phái rằng: “Có một nhà phú hộ kia vận toàn gấm vóc, lụa là, ngày ngày yến tiệc linh đình. Lại có một người hành khất tên là Ladarô, nằm bên cổng nhà ông đó, mình đầy ghẻ chốc, ước được những mụn bánh từ bàn ăn rớt xuống để ăn cho đỡ đói, nhưng không ai thèm cho. Những con chó đến liếm ghẻ chốc của người ấy. Nhưng xảy ra là người hành khất đó chết và được các Thiên Thần đem lên nơi lòng Abraham. Còn nhà phú hộ kia cũng chết và được đem chôn. Trong hoả ngục, phải chịu cực hình, nhà phú hộ ngước mắt lên thì thấy đàng xa có Abraham và Ladarô trong lòng Ngài, liền cất tiếng kêu la rằng:\r‘Lạy Cha Abraham, xin thương xót tôi và sai Ladarô nhúng đầu ngón tay vào nước để làm mát lưỡi tôi, vì tôi phải quằn quại trong ngọn lửa này’. Abraham nói lại: ‘Hỡi con, suốt đời con, con được toàn sự lành, còn Ladarô gặp toàn sự khốn khổ. Vậy bây giờ Ladarô được an ủi ở chốn này, còn con thì chịu khốn khổ. Vả chăng, giữa các ngươi và chúng tôi đây đã có sẵn một vực thẳm, khiến những kẻ muốn từ đây qua đó, không thể qua được, cũng như không thể từ bên đó qua đây được’.\rNgười đó lại nói: ‘Ðã vậy, tôi nài xin cha sai Ladarô đến nhà cha tôi, vì tôi còn năm người anh em nữa, để ông bảo họ, kẻo họ cũng phải sa vào chốn cực hình này’. Abraham đáp rằng: ‘Chúng đã có Môsê và các tiên tri, chúng hãy nghe các ngài’. Người đó thưa: ‘Không đâu, lạy cha Abraham, nhưng nếu có ai trong cõi chết hiện về với họ, thì ắt họ sẽ hối cải’. Nhưng Abraham bảo người ấy: ‘Nếu chúng không chịu nghe Môsê và các tiên tri, thì cho dù kẻ chết sống lại đi nữa, chúng cũng chẳng chịu nghe đâu'”.","end":"Ðó là lời Chúa"}}},
+        "5270": {"A":{"firstReading":{"excerpt":"Is 5, 1-7","info":"“Vườn nho của Chúa các đạo binh là nhà Israel”.","title":"Trích sách Tiên tri Isaia.","content":"Tôi sẽ ca tặng người yêu bài hát của cô bác tôi về vườn nho.\rNgười tôi yêu có một vườn nho trên đồi xinh tươi. Người rào giậu, nhặt đá, trồng cây chọn lọc, xây tháp giữa vườn, lập máy ép trong vườn, và trông mong nó sinh quả nho, nhưng nó lại sinh toàn nho dại.\rVậy giờ đây, hỡi dân cư Giêrusalem và người Giuđa, hãy luận xét giữa ta và vườn nho ta. Nào còn việc gì phải làm cho vườn nho ta mà ta đã không làm? Sao ta trông mong nó sinh quả nho, mà nó lại sinh quả nho dại!\rGiờ đây ta tỏ bày cho các ngươi biết ta sẽ làm gì đối với vườn nho ta: Ta sẽ phá hàng rào, để nó bị tàn phá, sẽ phá tường để nó phải bị giầy đạp. Ta sẽ bỏ nó hoang vu, không cắt tỉa, không vun xới; gai góc sẽ mọc lên, và ta sẽ khiến mây không mưa xuống trên nó. Vườn nho của Chúa các đạo binh là nhà Israel, và người Giuđa là chồi cây Chúa vui thích. Ta trông mong nó thực hành điều chính trực, nhưng đây toàn sự gian ác. Ta trông mong nó thực hành đức công bình, nhưng đây toàn là tiếng kêu oan.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 79, 9 và 12. 13-14. 15-16. 19-20","response":"Ðáp: Vườn nho của Chúa là nhà Israel","verses":["Xướng: Từ Ai-cập Chúa đã mang về một gốc nho. Chúa đã đuổi chư dân đi để ương trồng nó. Nó vươn ngành ra cho tới nơi biển cả, vươn chồi non cho tới chỗ đại giang.","Xướng: Tại sao Ngài phá vỡ hàng rào, để bao khách qua đường đều lảy hái nó, để lợn rừng xông ra tàn phá, và muông thú ngoài đồng dùng nó làm cỏ nuôi thân?","Xướng: Lạy Chúa thiên binh, xin thương trở lại; từ trời cao xin nhìn coi và thăm viếng vườn nho này. Xin bảo vệ vườn nho mà tay hữu Ngài đã cấy, bảo vệ ngành nho mà Ngài đã củng cố cho mình.","Xướng: Chúng con sẽ không còn rời xa Chúa nữa. Chúa cho chúng con được sống, và chúng con ca tụng danh Ngài. Lạy Chúa thiên binh, xin cho chúng con được phục hồi, xin tỏ thiên nhan hiền từ Chúa ra, hầu cho chúng con được ơn cứu sống."]},"secondReading":{"excerpt":"Pl 4, 6-9","info":"“Thiên Chúa bình an sẽ ở cùng anh em”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, anh em đừng lo lắng gì hết, nhưng trong khi cầu nguyện, anh em hãy trình bày những ước vọng lên cùng Chúa, bằng kinh nguyện và lời cầu xin đi đôi với lời cảm tạ. Và bình an của Thiên Chúa vượt mọi trí hiểu, sẽ giữ gìn lòng trí anh em trong Chúa Giêsu Kitô.\rVả lại, hỡi anh em, những gì là chân thật, trong sạch, công chính, là thánh thiện, đáng yêu chuộng, danh thơm tiếng tốt, là nhân đức, là luật pháp đáng khen, thì anh em hãy tưởng nghĩ những sự ấy. Những điều anh em đã học biết, đã lãnh nhận, đã nghe và đã thấy nơi tôi, anh em hãy đem những điều đó ra thực hành, thì Thiên Chúa bình an sẽ ở cùng anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy. – Alleluia."},"gospel":{"excerpt":"Mt 21, 33-43","info":"“Ông sẽ cho người khác thuê vườn nho”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các thượng tế và các kỳ lão trong dân rằng: “Các ông hãy nghe dụ ngôn này: Có ông chủ nhà kia trồng được một vườn nho. Ông rào dậu chung quanh, đào hầm ép rượu và xây tháp canh, đoạn ông cho tá điền thuê, rồi đi phương xa. Ðến mùa nho, ông sai đầy tớ đến nhà tá điền để thu phần hoa lợi. Nhưng những người làm vườn nho bắt các đầy tớ ông: đánh đứa này, giết đứa kia và ném đá đứa khác. Chủ lại sai một số đầy tớ khác đông hơn trước, nhưng họ cũng xử với chúng như vậy. Sau cùng chủ sai chính con trai mình đến với họ, vì nghĩ rằng: Họ sẽ kính nể con trai mình. Nhưng bọn làm vườn vừa thấy con trai ông chủ liền bảo nhau: “Ðứa con thừa tự kia rồi, nào anh em! Chúng ta hãy giết nó đi và chiếm lấy gia tài của nó”. Rồi họ bắt cậu, lôi ra khỏi vườn nho mà giết. Vậy khi chủ về, ông sẽ xử trí với bọn họ thế nào?” Các ông trả lời, “Ông sẽ tru diệt bọn hung ác đó, và sẽ cho người khác thuê vườn nho để cứ mùa nộp phần hoa lợi”.\rChúa Giêsu phán: “Các ông chưa bao giờ đọc thấy trong Kinh Thánh: “Chính viên đá bọn thợ loại ra, đã trở nên viên đá góc. Ðó là việc Chúa làm và là việc lạ lùng trước mắt chúng ta!” Bởi vậy, Tôi bảo các ông: Nước Thiên Chúa sẽ cất khỏi các ông để trao cho dân tộc khác biết làm cho trổ sinh hoa trái”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"St 2, 18-24","info":"“Cả hai nên một thân thể”.","title":"Trích sách Sáng Thế.","content":"Chúa là Thiên Chúa phán: “Ðàn ông ở một mình không tốt. Ta hãy tạo dựng cho nó một nội trợ giống như nó”. Sau khi lấy bùn đất dựng nên mọi thú vật dưới đất và toàn thể chim chóc trên trời, Thiên Chúa dẫn đến trước mặt Ađam để coi ông gọi chúng thế nào, và sinh vật nào Ađam gọi, thì chính đó là tên nó. Ađam liền đặt tên cho mọi súc vật, chim trời và muông thú. Nhưng Ađam không gặp một người nội trợ giống như mình.\rVậy Thiên Chúa khiến cho Ađam ngủ say, và khi ông đang ngủ, Người lấy một xương sườn của ông, và đắp thịt lại. Thiên Chúa làm cho chiếc xương sườn đã lấy từ Ađam trở thành người đàn bà, rồi dẫn đến Ađam. Ađam liền nói: “Bây giờ đây xương bởi xương tôi và thịt bởi thịt tôi. Người này sẽ được gọi là người nữ, vì bởi người nam mà ra”. Vì thế, người đàn ông sẽ lìa bỏ cha mẹ mà kết hợp với vợ mình, và cả hai nên một thân thể.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5. 6","response":"Ðáp: Nguyện Chúa chúc phúc cho chúng con hết mọi ngày trong đời sống chúng con! (x. c. 5).","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người! Công quả tay bạn làm ra bạn được an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thất nội cung nhà bạn. Con cái bạn như chồi non của khóm ô-liu, ở chung quanh bàn ăn của bạn.","Xướng: Ðó là phúc lộc dành để cho người biết kính sợ Chúa. Nguyện Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem, hết mọi ngày trong đời sống của bạn.","Xướng: Và để bạn nhìn thấy lũ cháu đàn con. Nguyện xin bình an đến trên đất Israel."]},"secondReading":{"excerpt":"Dt 2, 9-11","info":"“Ðấng thánh hoá và những người được thánh hoá, tất cả đều do một nguồn gốc”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, Ðấng trong một thời gian bị hạ xuống kém các Thiên Thần, là Ðức Giêsu, chúng ta thấy Người được triều thiên vinh quang và danh dự vì cuộc tử nạn của Người, để nhờ ơn Thiên Chúa, Người chịu chết thay cho mọi người. Quả vậy, thật là thích hợp việc Chúa là nguyên nhân và cùng đích mọi vật, đã dẫn đưa nhiều con cái đến vinh quang và đã lấy cuộc khổ nạn mà làm cho Ðấng đem lại ơn cứu rỗi được hoàn hảo. Vì chưng, Ðấng thánh hoá và những người được thánh hoá, tất cả đều do một nguồn gốc. Vì thế, Người không hổ thẹn gọi họ là anh em.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 17, 17","content":"Alleluia, Alleluia – Chúa phán: “Lời Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia."},"gospel":{"excerpt":"Mc 10, 2-12","info":"“Sự gì Thiên Chúa đã kết hợp, loài người không được phân rẽ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, những người biệt phái đến gần và hỏi thử Chúa Giêsu rằng: “Người ta có được phép ly dị vợ mình chăng?” Người đáp: “Môsê đã truyền cho các ông thế nào?” Họ thưa: “Môsê cho phép làm giấy ly dị và cho ly dị”. Bấy giờ Chúa Giêsu đáp lại: “Chính vì sự cứng lòng của các ông, mà Môsê đã viết ra điều luật đó. Nhưng lúc khởi đầu cuộc sáng tạo, Thiên Chúa đã dựng nên một người nam và một người nữ. Bởi đó người nam sẽ lìa cha mẹ để luyến ái vợ mình, và hai người sẽ nên một huyết nhục. Như thế, họ không còn là hai mà là một huyết nhục. Vậy sự gì Thiên Chúa đã kết hợp, loài người không được phân rẽ”.\rVề đến nhà, các môn đệ lại hỏi Người về điểm đó. Và Người bảo các ông: “Ai bỏ vợ mình và lấy vợ khác, thì phạm tội ngoại tình đối với người vợ trước. Và người nữ bỏ chồng và lấy chồng khác, thì cũng phạm tội ngoại tình”.\r{Bấy giờ người ta đưa những trẻ nhỏ đến cùng Chúa Giêsu để Người đặt tay trên chúng, nhưng các môn đệ khiển trách họ. Thấy vậy, Chúa Giêsu bất bình và bảo các ông rằng: “Hãy để các trẻ nhỏ đến cùng Thầy, đừng ngăn cản chúng, vì nước Thiên Chúa là của những người giống như chúng. Thầy bảo thật các con: Ai không đón nhận nước Thiên Chúa như trẻ nhỏ, sẽ không được vào nước đó”. Rồi Người ôm chúng, đặt tay ban phép lành cho chúng.}","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Kb 1, 2-3; 2, 2-4","info":"“Người công chính sẽ sống được nhờ trung tín”.","title":"Trích sách Tiên tri Khabacúc.","content":"Lạy Chúa, con kêu cầu Chúa cho đến bao giờ mà Chúa không nghe? Con phải ức ép kêu lên cùng Chúa, mà Chúa không cứu con sao? Cớ sao Chúa tỏ cho con thấy sự gian ác và lao khổ, cướp bóc và bất lương trước mặt con? Dù có công lý, nhưng kẻ đối nghịch vẫn thắng.\rChúa đáp lại tôi rằng: “Hãy chép điều con thấy, hãy khắc nó vào tấm bảng, để đọc được dễ dàng. Bởi hình lạ còn xa, nó sẽ xuất hiện trong thời sau hết, và sẽ chẳng hư không. Nó kết duyên với ngươi, hãy chờ đợi nó, vì nó sẽ đến không trì hoãn. Chắc chắn nó sẽ đến, không sai. Người không có lòng ngay thì ngã gục, nhưng người công chính sẽ sống nhờ trung tín”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","response":"Ðáp: Ước chi hôm nay các bạn nghe tiếng Người: “Các ngươi đừng cứng lòng!” (c. 8).","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của ta! Hãy ra trước thiên nhan với lời ca ngợi, chúng ta hãy xướng ca để hoan hô Người.","Xướng: Hãy tiến lên, cúc cung bái và sụp lạy; hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: “Ðừng cứng lòng như ở Meriba, như hôm ở Massa trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta; họ đã thử Ta mặc dầu đã thấy công cuộc của Ta."]},"secondReading":{"excerpt":"2 Tm 1, 6-8, 13-14","info":"“Con chớ hổ thẹn làm chứng cho Chúa chúng ta”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi cho Timô-thêu.","content":"Con thân mến, cha khuyên con hãy làm sống lại ơn Thiên Chúa đã ban cho con do việc đặt tay của cha. Vì chưng, Thiên Chúa không ban cho chúng ta một thần khí nhát sợ, mà là thần khí dũng mạnh, bác ái và tiết độ. Vậy con chớ hổ thẹn làm chứng cho Chúa chúng ta, và cho cha nữa, là tù nhân của Người, nhưng con hãy đồng lao cộng tác với cha vì Tin Mừng, nhờ quyền năng của Thiên Chúa.\rCon hãy lấy những lời lành lẽ phải, con đã nghe cha nói, làm mẫu mực trong đức tin và lòng mến nơi Ðức Giêsu Kitô. Con hãy cậy nhờ Thánh Thần là Ðấng ngự trong chúng ta mà gìn giữ kho tàng tốt đẹp.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 27","content":"Alleluia, Alleluia – Chúa phán: “Con chiên Ta thì nghe tiếng Ta: Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Lc 17, 5-10","info":"“Nếu các con có lòng tin”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, các Tông đồ thưa với Chúa Giêsu rằng: “Xin Thầy ban thêm lòng tin cho chúng con”. Chúa liền phán rằng: “Nếu các con có lòng tin bằng hạt cải, thì dẫu các con khiến cây dâu này rằng: ‘Hãy bứng rễ lên mà đi trồng dưới biển’, nó liền vâng lời các con.\r“Ai trong các con có người đầy tớ cày bừa hay chăn súc vật ngoài đồng trở về, liền bảo nó rằng: ‘Mau lên, hãy vào bàn dùng bữa’, mà trái lại không bảo nó rằng: ‘Hãy lo dọn bữa tối cho ta, hãy thắt lưng và hầu hạ ta cho đến khi ta ăn uống đã, sau đó ngươi mới ăn uống’. Chớ thì chủ nhà có phải mang ơn người đầy tớ, vì nó đã làm theo lệnh ông dạy không? Thầy nghĩ rằng: Không. Phần các con cũng vậy, khi các con làm xong mọi điều đã truyền dạy các con, thì các con hãy nói rằng: ‘Chúng tôi là đầy tớ vô dụng, vì chúng tôi đã làm điều chúng tôi phải làm'”.","end":"Ðó là lời Chúa"}}},
+        "5280": {"A":{"firstReading":{"excerpt":"Is 25, 6-10a","info":"“Chúa mời đến dự tiệc của Người và lau sạch nước mắt trên mọi khuôn mặt”.","title":"Trích sách Tiên tri Isaia.","content":"Ngày ấy, Chúa các đạo binh sẽ thết tất cả các dân trên núi này một bữa tiệc đầy thịt rượu, thịt thì béo, rượu thì ngon. Trên núi này, Người sẽ cất khăn tang bao trùm muôn dân và tấm khăn liệm trải trên mọi nước. Người tiêu diệt sự chết đến muôn đời. Thiên Chúa sẽ lau sạch nước mắt trên mọi khuôn mặt, và cất bỏ khỏi toàn mặt đất sự tủi hổ của dân Người, vì Người đã phán. Ngày đó, người ta sẽ nói: Này đây Chúa chúng ta. Ðây là Chúa, nơi Người, chúng ta đã tin tưởng, chúng ta hãy hân hoan và vui mừng vì ơn Người cứu độ, vì Chúa sẽ đặt tay của Người trên núi này.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài","verses":["Xướng: Chúa chăn dắt tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. – (Lạy Chúa,) dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Người, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương; đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo con hết mọi ngày trong đời sống; và trong nhà Chúa, con sẽ định cư cho tới thời gian rất ư lâu dài."]},"secondReading":{"excerpt":"Pl 4, 12-14. 19-20","info":"“Tôi có thể làm được mọi sự trong Ðấng ban sức mạnh cho tôi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Anh em thân mến, tôi biết chịu thiếu thốn và biết hưởng sung túc. Trong mọi trường hợp và hết mọi cách, tôi đã học cho biết no, biết đói, biết dư dật và thiếu thốn. Tôi có thể làm được mọi sự trong Ðấng ban sức mạnh cho tôi. Nhưng anh em đã hành động chí lý khi san sẻ nỗi quẫn bách của tôi. Xin Thiên Chúa cung cấp dư dật những nhu cầu của anh em, theo sự phú túc vinh sang của Người trong Ðức Giêsu Kitô. Vinh danh Thiên Chúa là Cha chúng ta muôn đời. Amen!","end":"Ðó là lời Chúa"},"alleluia":{"verse":"x. Cv 16, 14b","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con lắng nghe lời Con của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 22, 1-10 {hoặc 1-14}","info":"“Các ngươi gặp bất cứ ai, thì hãy mời vào dự tiệc cưới”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu lại phán cùng các đầu mục tư tế và kỳ lão trong dân những dụ ngôn này rằng: “Nước trời giống như vua kia làm tiệc cưới cho hoàng tử. Vua sai đầy tớ đi gọi những người đã được mời dự tiệc cưới, nhưng họ không chịu đến. Vua lại sai các đầy tớ khác mà rằng: “Hãy nói cùng những người đã được mời rằng: Này ta đã dọn tiệc sẵn rồi, đã hạ bò và súc vật béo tốt rồi, mọi sự đã sẵn sàng: xin mời các ông đến dự tiệc cưới”. Những người ấy đã không đếm xỉa gì và bỏ đi: người thì đi thăm trại, người thì đi buôn bán; những người khác thì bắt đầy tớ vua mà nhục mạ và giết đi. Khi vua nghe biết, liền nổi cơn thịnh nộ, sai binh lính đi tru diệt bọn sát nhân đó, và thiêu huỷ thành phố của chúng. Bấy giờ vua nói với các đầy tớ rằng: “Tiệc cưới đã dọn sẵn sàng, nhưng những kẻ đã được mời không đáng dự. Vậy các ngươi hãy ra các ngả đường, gặp bất cứ ai, thì mời vào dự tiệc cưới”. Các đầy tớ liền đi ra đường, gặp ai bất luận tốt xấu, đều quy tụ lại và phòng cưới chật ních khách dự tiệc.\r{Ðoạn vua đi vào quan sát những người dự tiệc, và thấy ở đó một người không mặc y phục lễ cưới. Vua liền nói với người ấy rằng: “Này bạn, sao bạn vào đây mà lại không mặc y phục lễ cưới?” Người ấy lặng thinh. Bấy giờ vua truyền cho các đầy tớ rằng: “Trói tay chân nó lại, ném nó vào nơi tối tăm, ở đó sẽ phải khóc lóc và nghiến răng! Vì những kẻ được gọi thì nhiều, còn những kẻ được chọn thì ít”.}","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Kn 7, 7-11","info":"“Ðem so sánh sự giàu sang với sự khôn ngoan, tôi kể sự giàu sang như không”.","title":"Trích sách Khôn Ngoan.","content":"Tôi đã ước ao được ban sự hiểu biết, tôi cầu khẩn được thần trí khôn ngoan đến cùng tôi. Tôi lấy sự khôn ngoan làm hơn vương quốc và ngai vàng: Ðem so sánh sự giàu sang với sự khôn ngoan, tôi kể sự giàu sang như không. Tôi cũng không so sánh nó với kim cương, vì mọi thứ vàng đem so sánh với nó thì kể như hạt cát nhỏ bé, và bạc đem để trước nó thì kể như đất bùn.\rTôi yêu quý sự khôn ngoan hơn sức khoẻ và sắc đẹp, tôi lấy nó làm hơn được sự sáng, vì sự sáng của nó không hề tắt. Tất cả mọi sự tốt lành đều đến cùng tôi làm một với nó, và nhờ tay của nó, tôi được đoan chính không kể xiết.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 12-13. 14-15. 16-17","response":"Ðáp: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan (c. 14).","verses":["Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chứ còn để tới bao giờ? Xin tỏ lòng xót thương tôi tớ của Ngài.","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan trọn đời sống chúng con. Xin ban niềm vui thế cho những ngày Chúa hạ nhục chúng con, thế cho những năm chúng con mục kích nạn tai. ","Xướng: Xin cho các bầy tôi nhìn thấy sự nghiệp của Chúa, và cho con cháu họ được thấy vinh quang Ngài. Xin cho chúng con được hưởng ân sủng Chúa là Thiên Chúa chúng con, sự nghiệp tay chúng con làm ra, xin Ngài củng cố; xin Ngài củng cố sự nghiệp tay chúng con làm ra."]},"secondReading":{"excerpt":"Dt 4, 12-13","info":"“Lời của Chúa phân tách tình cảm với ý nghĩ của tâm hồn”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, lời Thiên Chúa là lời hằng sống, linh nghiệm, sắc bén hơn mọi thứ gươm hai lưỡi, thấu suốt đến nỗi phân rẽ linh hồn với thần trí, gân cốt với tuỷ não, phân tách tình cảm với ý nghĩ của tâm hồn. Không một tạo vật nào ẩn khuất được trước mặt Chúa; tất cả mọi sự đều phơi trần và tỏ ra trước mắt của Ðấng mà chúng ta phải trả lẽ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến! Bình an trên trời và vinh quang trên các tầng trời! – Alleluia."},"gospel":{"excerpt":"Mc 10, 17-27","info":"“Ngươi hãy đi bán tất cả gia tài rồi đến theo Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy Chúa Giêsu vừa lên đường, thì một người chạy lại quỳ gối trước Người và hỏi: “Lạy Thầy nhân lành, tôi phải làm gì để được sống đời đời?” Chúa Giêsu trả lời: “Sao ngươi gọi Ta là nhân lành? Chẳng có ai là nhân lành, trừ một mình Thiên Chúa. Ngươi đã biết các giới răn: đừng ngoại tình, đừng giết người, đừng trộm cắp, đừng làm chứng gian, đừng lường gạt; hãy thảo kính cha mẹ”. Người ấy thưa: “Lạy Thầy, những điều đó tôi đã giữ từ thuở nhỏ”.\rBấy giờ Chúa Giêsu chăm chú nhìn người ấy và đem lòng thương mà bảo rằng: “Ngươi chỉ thiếu một điều, là ngươi hãy đi bán tất cả gia tài, đem bố thí cho người nghèo khó và ngươi sẽ có một kho báu trên trời, rồi đến theo Ta”. Nhưng người ấy nghe những lời đó, thì sụ nét mặt và buồn rầu bỏ đi, vì anh ta có nhiều của cải. Lúc đó Chúa Giêsu nhìn chung quanh và bảo các môn đệ rằng: “Những người giàu có vào nước Thiên Chúa khó biết bao!” Các môn đệ kinh ngạc vì những lời đó. Nhưng Chúa Giêsu lại nói tiếp và bảo các ông rằng: “Hỡi các con, những kẻ cậy dựa vào tiền bạc, thật khó mà vào nước Thiên Chúa biết bao! Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào nước Thiên Chúa”. Các ông càng kinh ngạc hỏi nhau rằng: “Như vậy thì ai có thể được cứu độ?” Chúa Giêsu chăm chú nhìn các ông, và nói: “Ðối với loài người thì không thể được, nhưng không phải đối với Thiên Chúa, vì Thiên Chúa làm được mọi sự”.\r{Phêrô thưa cùng Chúa Giêsu rằng: “Ðây chúng con đã bỏ mọi sự mà theo Thầy”. Chúa Giêsu trả lời rằng: “Thầy bảo thật các con, chẳng ai bỏ nhà cửa, anh em, chị em, cha mẹ, con cái, đồng ruộng vì Thầy và vì Tin Mừng, mà ngay bây giờ lại không được gấp trăm ở đời này về nhà cửa, anh em, chị em, cha mẹ, con cái và ruộng nương, cùng với sự bắt bớ, và ở đời sau được sự sống vĩnh cửu. Nhưng có nhiều kẻ trước nhất sẽ nên rốt hết, và những kẻ rốt hết sẽ nên trước nhất”.}","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"2 V 5, 14-17","info":"“Naaman trở lại gặp người của Thiên Chúa và ông tuyên xưng Chúa”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong những ngày ấy, Naaman, quan lãnh binh của vua xứ Syria, xuống tắm bảy lần ở sông Giođan như lời tiên tri, người của Thiên Chúa dạy, da thịt ông lại trở nên tốt như da thịt của đứa trẻ, và ông được sạch.\rSau đó, ông và đoàn tuỳ tùng trở lại gặp người của Thiên Chúa. Ðến nơi, ông đứng trước mặt người của Thiên Chúa và nói: “Thật tôi biết không có Thiên Chúa nào khác trên hoàn vũ, ngoài một Thiên Chúa ở Israel. Vì thế, tôi xin ông nhận lấy phần phúc của tôi tớ ông”.\rTiên tri trả lời rằng: “Có Chúa hằng sống, tôi đang đứng trước mặt Người: Thật tôi không dám nhận đâu”. Naaman cố nài ép, nhưng tiên tri không nghe. Naaman nói thêm rằng: “Tuỳ ý ông, nhưng tôi xin ông ban phép cho tôi, là đầy tớ của ông, được chở một ít đất vừa sức hai con la chở được, vì từ nay ngoài Chúa, tôi tớ của ông sẽ chẳng dâng của lễ toàn thiêu hoặc hy lễ cho thần minh nào khác”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người trước mặt chư dân (c. 2b).","verses":["Xướng: Hãy ca tụng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người; trước mặt chư dân Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca!"]},"secondReading":{"excerpt":"2 Tm 2, 8-13","info":"“Nếu chúng ta kiên tâm chịu đựng, chúng ta sẽ cùng thống trị với Ðức Kitô”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, con hãy nhớ rằng Chúa Giêsu Kitô bởi dòng dõi Ðavít, đã từ cõi chết sống lại, theo như Tin Mừng cha rao giảng. Vì Tin Mừng đó mà cha phải đau khổ đến phải chịu xiềng xích như một kẻ gian ác, nhưng lời của Thiên Chúa đâu có bị xiềng xích! Vì thế, cha cam chịu mọi sự vì những kẻ được tuyển chọn, để họ được hưởng ơn cứu độ cùng với vinh quang trên trời trong Ðức Giêsu Kitô.\rÐây cha nói thật: Nếu chúng ta cùng chết với Người, thì chúng ta cùng sống với Người. Nếu chúng ta kiên tâm chịu đựng, chúng ta sẽ cùng thống trị với Người. Nếu chúng ta chối bỏ Người, thì Người cũng sẽ chối bỏ chúng ta. Nếu chúng ta không tin Người, Người vẫn trung thành, vì Người không thể chối bỏ chính mình Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến! Bình an trên trời và vinh quang trên các tầng trời! – Alleluia."},"gospel":{"excerpt":"Lc 17, 11-19","info":"“Không thấy ai trở lại tôn vinh Thiên Chúa, mà chỉ có người ngoại bang này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi Chúa Giêsu đi lên Giêrusalem, Người đi qua biên giới Samaria và Galilêa. Khi Người vào một làng kia, thì gặp mười người phong cùi đang đứng ở đàng xa, họ cất tiếng thưa rằng: “Lạy Thầy Giêsu, xin thương xót chúng tôi”. Thấy họ, Người bảo họ rằng: “Các ngươi hãy đi trình diện với các tư tế”. Trong lúc họ đi đường, họ được lành sạch. Một người trong bọn họ thấy mình được lành sạch, liền quay trở lại, lớn tiếng ngợi khen Thiên Chúa, rồi đến sấp mình dưới chân Chúa Giêsu và tạ ơn Người, mà người ấy lại là người xứ Samaria.\rNhưng Chúa Giêsu phán rằng: “Chớ thì không phải cả mười người được lành sạch sao? Còn chín người kia đâu? Không thấy ai trở lại tôn vinh Thiên Chúa, mà chỉ có người ngoại bang này”. Rồi Người bảo kẻ ấy rằng: “Ngươi hãy đứng dậy mà về: vì lòng tin của ngươi đã cứu chữa ngươi”.","end":"Ðó là lời Chúa"}}},
+        "5290": {"A":{"firstReading":{"excerpt":"Is 45, 1. 4-6","info":"“Ta đã cầm tay hữu của Cyrô để bắt các dân suy phục trước mặt nó”.","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán cùng Cyrô, kẻ xức dầu của Chúa mà Ta đã cầm tay hữu nó, để bắt các dân suy phục trước mặt nó, bắt các vua quay lưng lại, mở các cửa trước mặt nó, và các cửa không được đóng lại:\rNhân vì Giacóp tôi tớ Ta, và Israel kẻ Ta kén chọn, Ta đã gọi đích danh ngươi: Ta đã kêu gọi ngươi khi ngươi không nhận biết Ta. Ta là Chúa, và chẳng còn chúa nào khác: ngoài Ta ra, không có Thiên Chúa nào nữa. Ta đã thắt lưng cho ngươi khi ngươi không nhận biết Ta, để các kẻ từ đông sang tây nhận biết rằng ngoài Ta ra không có ai khác: Ta là Chúa, và chẳng có chúa nào khác.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1 và 3. 4-5. 7-8. 9-10a và c","response":"Ðáp: Hãy kính tặng Thiên Chúa quyền thế với vinh quang (c. 7b).","verses":["Xướng: Hãy ca mừng Thiên Chúa bài ca mới, hãy ca mừng Thiên Chúa, hỡi toàn thể địa cầu. Hãy tường thuật vinh quang Chúa giữa chư dân, và phép lạ Người ở nơi vạn quốc. ","Xướng: Vì Thiên Chúa, Người hùng vĩ và rất đáng ngợi khen, Người khả uý hơn mọi bậc chúa tể. Vì mọi chúa tể của chư dân là hư ảo, nhưng Thiên Chúa đã tác tạo trời xanh. ","Xướng: Hãy kính tặng Thiên Chúa, hỡi người chư dân bá tánh, hãy kính tặng Thiên Chúa quyền thế với vinh quang, hãy kính tặng Thiên Chúa vinh quang xứng với danh Người. Hãy mang lễ vật, tiến vào hành lang nhà Chúa. ","Xướng: Mặc lễ phục, thờ lạy Thiên Chúa. Toàn thể địa cầu, hãy run sợ trước thiên nhan, hãy công bố giữa chư dân rằng Thiên Chúa ngự trị. Người cai quản chư dân theo đường đoan chính. "]},"secondReading":{"excerpt":"1 Tx 1, 1-5b","info":"“Tôi hằng nhớ đến đức tin, đức cậy và đức mến của anh em”.","title":"Khởi đầu thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Phaolô, Silvanô và Timôthêu kính gửi giáo đoàn thành Thêxalônica trong Thiên Chúa Cha và trong Chúa Giêsu Kitô. Nguyện chúc cho anh em được ân sủng và bình an.\rTôi hằng tạ ơn Thiên Chúa cho mọi người anh em, trong khi tôi cầu nguyện, tôi hằng nhớ đến anh em không ngừng; tôi nhớ đến sự nghiệp của lòng tin, công việc của lòng bác ái, sự vững lòng trông cậy của anh em vào Ðức Giêsu Kitô, Chúa chúng ta, trước mặt Thiên Chúa là Cha chúng ta. Hỡi anh em là những kẻ được Thiên Chúa yêu mến, tôi từng biết anh em được Chúa tuyển chọn, bởi vì Tin Mừng của chúng tôi ở nơi anh em, không phải chỉ với lời nói mà thôi, mà là với quyền năng, với Thánh Thần và với lòng xác tín.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 10, 27","content":"Alleluia, Alleluia – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mt 22, 15-21","info":"“Cái gì của Cêsarê thì hãy trả cho ông Cêsarê, và cái gì của Thiên Chúa thì hãy trả cho Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các người biệt phái họp nhau lại bàn mưu để bắt bẻ Chúa Giêsu trong lời nói. Các ông sai môn đồ của các ông đi với những người thuộc phái Hêrôđê đến nói với Người rằng: “Thưa Thầy, chúng tôi biết Thầy là người ngay chính, căn cứ theo sự thật mà dạy bảo đường lối Thiên Chúa. Thầy chẳng cần để ý đến ai, vì Thầy không tây vị người nào. Vậy xin Thầy nói cho chúng tôi biết Thầy nghĩ thế nào: Có được phép nộp thuế cho Cêsarê hay không?” Chúa Giêsu thừa hiểu ác ý của họ, nên nói: “Bọn người giả hình, các ngươi gài bẫy Ta làm gì? Hãy đưa Ta xem đồng tiền nộp thuế”. Họ đưa cho Người một đồng bạc. Và Chúa Giêsu hỏi họ: “Hình tượng và danh hiệu này là của ai?” Họ thưa rằng: “Của Cêsarê”. Bấy giờ Người bảo họ rằng: “Vậy, cái gì của Cêsarê thì hãy trả cho Cêsarê, và cái gì của Thiên Chúa thì hãy trả cho Thiên Chúa”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Is 53, 10-11","info":"“Nếu người hiến thân làm lễ vật đền tội, người sẽ thấy một dòng dõi trường tồn”.","title":"Trích sách Tiên tri Isaia.","content":"Chúa đã muốn hành hạ người trong đau khổ. Nếu người hiến thân làm lễ vật đền tội, người sẽ thấy một dòng dõi trường tồn, và nhờ người, ý định của Chúa sẽ thành tựu. Nhờ nỗi khổ tâm của người, người sẽ thấy và sẽ được thoả mãn. Nhờ sự thông biết, tôi tớ công chính của Ta sẽ công chính hoá nhiều người, sẽ gánh lấy những tội ác của họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 4-5. 18-19. 20 và 22","response":"Ðáp: Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài (c. 22).","verses":["Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng của Chúa.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Ngài, nhìn xem những ai cậy trông ân sủng của Ngài, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn.","Xướng: Linh hồn chúng con mong đợi Chúa, chính Ngài là Ðấng phù trợ và che chở chúng con. Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài."]},"secondReading":{"excerpt":"Dt 4, 14-16","info":"“Chúng ta hãy cậy trông vững vàng mà tiến đến trước toà ân sủng”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, chúng ta có một Thượng tế cao cả đã đi qua các tầng trời, là Ðức Giêsu, Con Thiên Chúa, nên chúng ta hãy giữ vững việc tuyên xưng đức tin của chúng ta. Vì chưng, không phải chúng ta có vị Thượng tế không thể cảm thông sự yếu đuối của chúng ta, trái lại, Người đã từng chịu thử thách bằng mọi cách như chúng ta, ngoại trừ tội lỗi. Vậy chúng ta hãy cậy trông vững vàng mà tiến đến trước toà ân sủng, ngõ hầu lãnh nhận lòng từ bi và tìm kiếm ân sủng để gặp được ơn phù trợ kịp thời.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Sm 3, 9","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 10, 35-45 (bài dài)","info":"“Con Người đến để ban mạng sống Mình làm giá cứu chuộc cho nhiều người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Giacôbê và Gioan con ông Giêbêđê đến gần Chúa Giêsu và thưa Người rằng: “Lạy Thầy, chúng con muốn Thầy ban cho chúng con điều chúng con sắp xin Thầy”. Người hỏi: “Các con muốn Thầy làm gì cho các con?” Các ông thưa: “Xin cho chúng con một người ngồi bên hữu, một người ngồi bên tả Thầy trong vinh quang của Thầy”. Chúa Giêsu bảo: “Các con không biết các con xin gì. Các con có thể uống chén Thầy sắp uống và chịu cùng một phép rửa Thầy sắp chịu không?” Các ông đáp: “Thưa được”. Chúa Giêsu bảo: “Chén Thầy uống, các con cũng sẽ uống, và phép rửa Thầy sắp chịu, các con cũng sẽ chịu. Còn việc ngồi bên hữu hay bên tả Thầy, thì không thuộc quyền Thầy ban, nhưng là dành cho những ai đã được chỉ định”.\rMười môn đệ kia nghe chuyện đó liền bực tức với Giacôbê và Gioan. Chúa Giêsu gọi các ông lại gần mà bảo: “Các con biết rằng những người được coi là lãnh tụ các nước, thì sai khiến dân chúng như ông chủ, và những người làm lớn thì lấy uy quyền mà trị dân. Còn các con không như thế. Trái lại, ai trong các con muốn làm lớn, thì hãy tự làm đầy tớ anh em. Và ai muốn thành người cầm đầu trong các con, thì hãy tự làm nô lệ cho mọi người. Vì chính Con Người cũng không đến để được phục vụ, nhưng để phục vụ và ban mạng sống mình làm giá cứu chuộc cho nhiều người”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Xh 17, 8-13","info":"“Khi ông Môsê giơ tay lên, thì dân Israel thắng trận”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, người Amalec đến giao chiến với Israel tại Raphiđim, Ông Môsê nói với ông Giosuê rằng: “Ngươi hãy tuyển lựa các chiến sĩ ra chiến đấu với người Amalec: ngày mai tôi sẽ cầm gậy Thiên Chúa trong tay lên đứng trên đỉnh núi”. Ông Giosuê thực hiện như lời ông Môsê đã dạy, và ra chiến đấu với người Amalec. Còn ông Môsê, Aaron và Hur thì đi lên đỉnh núi. Khi ông Môsê giơ tay lên, thì dân Israel thắng trận, còn khi ông hạ tay xuống một chút, thì người Amalec thắng thế. Bấy giờ tay ông Môsê mỏi mệt, người ta liền khiêng tảng đá kê cho ông ngồi, còn ông Aaron và ông Hur thì nâng đỡ hai tay ông. Bởi đó hai tay ông không còn mỏi mệt cho đến khi mặt trời lặn. Ông Giosuê dùng lưỡi gươm đánh đuổi người Amalec và quân dân nó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 120, 1-2. 3-4. 5-6. 7-8","response":"Ðáp: Ơn phù trợ chúng tôi ở nơi danh Chúa, là Ðấng tạo thành trời đất (c. 2).","verses":["Xướng: Tôi ngước mắt nhìn lên đỉnh núi cao, ơn phù trợ cho tôi sẽ từ đâu ban tới? Ơn phù trợ chúng tôi ở nơi danh Chúa, là Ðấng tạo thành trời đất.","Xướng: Người chẳng để cho chân ngươi xiêu té; Ðấng bảo vệ ngươi, Người chẳng có ngủ say. Kìa Ðấng bảo vệ Israel, Người không thiếp giấc, không ngủ say.","Xướng: Chúa sẽ bảo vệ thân ngươi, Chúa là Ðấng che chở ngươi ở bên tay hữu. Mặt trời sẽ không hại ngươi lúc ban ngày, và mặt trăng cũng chẳng hại ngươi về ban đêm.","Xướng: Chúa sẽ gìn giữ ngươi khỏi mọi điều tai biến; Người sẽ bảo vệ linh hồn ngươi. Chúa sẽ bảo vệ ngươi khi đi và khi tới, ngay tự bây giờ và cho đến muôn đời."]},"secondReading":{"excerpt":"2 Tm 3, 14 – 4, 2","info":"“Người của Thiên Chúa được hoàn hảo, để sẵn sàng thực hiện mọi việc lành”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, con hãy bền vững trong các điều con đã học hỏi và xác tín, vì con biết con đã học cùng ai, vì từ bé, con đã học biết Sách Thánh, và chính Sách Thánh đã dạy con sự khôn ngoan để con được cứu rỗi nhờ tin vào Ðức Giêsu Kitô. Tất cả Kinh Thánh đã được Chúa linh hứng, đều hữu ích để giảng dạy, biện bác, sửa dạy và giáo dục trong đàng công chính, ngõ hầu người của Thiên Chúa được hoàn hảo để sẵn sàng thực hiện mọi việc lành.\rCha khuyến cáo con trước tôn nhan Thiên Chúa và Ðức Kitô, Ðấng sẽ thẩm phán kẻ sống và kẻ chết, nhân danh cuộc xuất hiện của chính Người và vương quốc của Người: Con hãy rao giảng lời Phúc Âm, hãy xúc tiến việc đó, dầu thời thế thuận lợi hay không thuận lợi; hãy thuyết phục, hãy khiển trách, hãy khuyên lơn với tất cả lòng kiên nhẫn và quan tâm giáo huấn.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Lc 18, 1-8","info":"“Thiên Chúa sẽ minh xử cho những kẻ người tuyển chọn hằng kêu cứu với Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ một dụ ngôn, dạy các ông phải cầu nguyện luôn, đừng ngã lòng, mà rằng: “Trong thành kia, có một vị thẩm phán không kính sợ Thiên Chúa, cũng không kiêng nể người ta. Trong thành đó lại có một bà goá đến thưa ông ấy rằng: ‘Xin ông minh oan cho tôi khỏi tay kẻ thù’. Trong một thời gian lâu dài, ông không chịu, nhưng sau đó ông nghĩ rằng: ‘Mặc dầu ta không kính sợ Thiên Chúa, mà cũng chẳng kính nể người ta, nhưng vì bà goá này cứ quấy rầy ta mãi, nên ta sẽ xử cho bà ấy, kẻo bà ấy đến mãi làm ta nhức óc'”.\rRồi Chúa phán: “Các con hãy nghe lời vị thẩm phán bất lương nói đó. Vậy Thiên Chúa lại không minh xử cho những kẻ Người tuyển chọn, hằng kêu cứu với Người đêm ngày, mà khoan giãn với họ mãi sao? Thầy bảo các con, Chúa sẽ kíp giải oan cho họ. Nhưng khi Con Người đến, liệu sẽ còn gặp được lòng tin trên mặt đất nữa chăng?”","end":"Ðó là lời Chúa"}}},
+        "5300": {"A":{"firstReading":{"excerpt":"Xh 22, 21-27","info":"“Nếu các ngươi hà hiếp các cô nhi quả phụ, Ta sẽ nổi giận các ngươi”.","title":"Trích sách Xuất Hành.","content":"Ðây Chúa phán: “Ngươi chớ làm phiền lòng và ức hiếp khách ngoại kiều: vì các ngươi cũng là khách ngoại kiều ngụ trong đất Ai-cập. Các ngươi đừng làm hại cô nhi quả phụ. Nếu các ngươi hà hiếp những kẻ ấy, họ sẽ kêu thấu đến Ta, và chính Ta đã nghe tiếng họ kêu van. Ta sẽ nổi cơn thịnh nộ, sẽ dùng gươm giết các ngươi, vợ các ngươi sẽ phải goá bụa, và con cái các ngươi sẽ phải mồ côi.\r“Nếu ngươi cho người nghèo khó nào trong dân cùng định cư với ngươi mượn tiền, thì ngươi chớ hối thúc nó như kẻ đặt nợ ăn lãi quen làm, và chớ bắt nó chịu lãi nặng. Nếu ngươi nhận áo sống của người láng giềng cầm cố, ngươi hãy trả lại cho kẻ ấy trước khi mặt trời lặn: vì nó chỉ có một áo ấy che thân, và không còn chiếc nào khác mặc để ngủ; nếu kẻ ấy kêu van đến Ta, Ta sẽ nhậm lời nó, vì Ta là Ðấng thương xót”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 47 và 51ab","response":"Ðáp: Lạy Chúa là dũng lực con, con yêu mến Chúa","verses":["Xướng: Lạy Chúa là dũng lực con, con yêu mến Chúa, lạy Chúa là Ðá Tảng, chiến luỹ, cứu tinh.","Xướng: Lạy Chúa là Thiên Chúa, là sơn động chỗ con nương mình, là khiên thuẫn, là uy quyền cứu độ, là sức hộ phù con. Con xướng ca ngợi khen cầu cứu Chúa, và con sẽ được cứu thoát khỏi tay quân thù.","Xướng: Chúa hằng sống, chúc tụng Ðá Tảng của con, tán tụng Thiên Chúa là Ðấng cứu độ con. Ngài đã ban cho vương nhi Ngài đại thắng, đã tỏ lòng từ bi với Ðấng được xức dầu của Ngài."]},"secondReading":{"excerpt":"1 Tx 1, 5c-10","info":"“Anh em đã bỏ tà thần trở về với Thiên Chúa để phụng sự Người và để trông đợi Con của Người”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, khi chúng tôi còn ở giữa anh em, anh em biết chúng tôi sống thế nào vì anh em. Và anh em đã noi gương chúng tôi và noi gương Chúa, đã nhận lấy lời rao giảng giữa bao gian truân, với lòng hân hoan trong Thánh Thần, đến nỗi anh em đã nên mẫu mực cho mọi kẻ tin đạo trong xứ Macêđônia và Akaia.\rVì từ nơi anh em, lời Chúa vang dội không những trong xứ Macêđônia và Akaia, mà còn trong mọi nơi; lòng tin của anh em vào Thiên Chúa đã quá rõ rồi, đến nỗi chúng tôi không còn nói thêm làm gì nữa. Vì người ta thuật lại việc chúng tôi đã đến với anh em thế nào, và anh em đã bỏ tà thần trở về với Thiên Chúa làm sao để phụng thờ Thiên Chúa hằng sống và chân thật, để trông đợi Con của Người từ trời mà đến, “Ðấng mà Người đã làm cho từ cõi chết sống lại”, là Ðức Giêsu, Ðấng đã giải thoát chúng ta khỏi cơn thịnh nộ sắp đến.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 23","content":"Alleluia, Alleluia – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu thương người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mt 22, 34-40","info":"“Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi, và yêu thương kẻ khác như chính mình ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, những người biệt phái nghe tiếng Chúa Giêsu đã làm cho những người Sađốc câm miệng, thì họp nhau lại, đoạn một người thông luật trong nhóm họ hỏi thử Người rằng: “Thưa Thầy, trong lề luật, giới răn nào trọng nhất?”\rChúa Giêsu phán cùng người ấy rằng: “Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn và hết trí khôn ngươi. Ðó là giới răn thứ nhất và trọng nhất. Nhưng giới răn thứ hai cũng giống giới răn ấy là: Ngươi hãy yêu thương kẻ khác như chính mình ngươi. Toàn thể Lề luật và sách các Tiên tri đều tóm lại trong hai giới răn đó”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Gr 31, 7-9","info":"“Ta sẽ lấy lòng từ bi dẫn dắt kẻ đui mù và què quặt”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ðây Chúa phán: Hỡi Giacóp, hãy hân hoan vui mừng! Hãy hò hét vào đầu các Dân ngoại, hãy cất tiếng vang lên, ca hát rằng: “Lạy Chúa, xin hãy cứu dân Chúa là những kẻ sống sót trong Israel”.\rÐây, Ta sẽ dẫn dắt chúng từ đất bắc trở về, sẽ tụ họp chúng lại từ bờ cõi trái đất: trong bọn chúng sẽ có kẻ đui mù, què quặt, mang thai và sinh con đi chung với nhau, hợp thành một cộng đoàn thật đông quy tụ về đây.\rChúng vừa đi vừa khóc, Ta sẽ lấy lòng từ bi và dẫn dắt chúng trở về. Ta sẽ đưa chúng đi trên con đường thẳng, băng qua các suối nước; chúng không phải vấp ngã trên đường đi: vì Ta đã trở nên thân phụ dân Israel, và Ephraim là trưởng tử của Ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","response":"Ðáp: Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan (c. 3).","verses":["Xướng: Khi Chúa đem những người từ Sion bị bắt trở về, chúng tôi dường như người đang mơ, bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: “Chúa đã đối xử với họ cách đại lượng.” Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan.","Xướng: Lạy Chúa, hãy đổi số phận của con, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo; họ trở về trong hân hoan, vai mang những bó lúa."]},"secondReading":{"excerpt":"Dt 5, 1-6","info":"“Con là tư tế đến muôn đời theo phẩm hàm Menkixêđê”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Tất cả các vị thượng tế được chọn giữa loài người, nên được đặt lên thay cho loài người mà lo việc Chúa, để hiến dâng lễ vật và hy lễ đền tội. Người có thể thông cảm với những kẻ mê muội và lầm lạc, vì chính người cũng mắc phải yếu đuối tư bề. Vì thế, cũng như người phải dâng lễ đền tội thay cho dân thế nào, thì người dâng lễ đền tội cho chính mình như vậy. Không ai được chiếm vinh dự đó, nhưng phải là người được Thiên Chúa kêu gọi như Aaron.\rCũng thế, Ðức Kitô không tự dành lấy quyền làm thượng tế, nhưng là Ðấng đã nói với Người rằng: “Con là Con Cha, hôm nay Cha sinh ra Con”. Cũng có nơi khác Ngài phán: “Con là tư tế đến muôn đời theo phẩm hàm Menkixêđê”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 19, 38","content":"Alleluia, Alleluia – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến; bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Mc 10, 46-52","info":"“Lạy Thầy, xin cho tôi được thấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu ra khỏi thành Giêricô cùng với các môn đệ và một đám đông, thì con ông Timê tên là Bartimê, một người mù đang ngồi ăn xin ở vệ đường, khi anh ta nghe biết đó là Chúa Giêsu Nadarét, liền kêu lên rằng: “Hỡi ông Giêsu con vua Ðavít, xin thương xót tôi”. Và nhiều người mắng anh bảo im đi, nhưng anh càng kêu to hơn: “Hỡi con vua Ðavít, xin thương xót tôi”.\rChúa Giêsu dừng lại và truyền gọi anh đến. Người ta gọi người mù và bảo anh: “Hãy vững tâm đứng dậy, Người gọi anh”. Anh ta liệng áo choàng, đứng dậy, đến cùng Chúa Giêsu. Bấy giờ Chúa Giêsu bảo rằng: “Anh muốn Ta làm gì cho anh?” Người mù thưa: “Lạy Thầy, xin cho tôi được thấy”. Chúa Giêsu đáp: “Ðược, đức tin của anh đã chữa anh”. Tức thì anh ta thấy được và đi theo Người.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Hc 35, 15b-17. 20-22a","info":"“Lời cầu nguyện của người khiêm nhường vọng lên tới các tầng mây”.","title":"Trích sách Huấn Ca.","content":"Chúa là quan án, Người không xem sao vinh quang loài người. Chúa không vì nể kẻ nghịch với người nghèo khó, và Người nhậm lời kẻ bị áp bức kêu cầu. Người không khinh rẻ kẻ mồ côi khẩn nguyện, cũng không khinh rẻ người goá bụa, khi nó bày tỏ lời than van.\rNỗi hồn đắng cay, của lễ được nhận, và tiếng kêu oan kíp thấu tầng mây. Lời cầu nguyện của kẻ khiêm nhường vọng lên tới các tầng mây: nó sẽ không yên lòng cho đến khi lời nguyện nó đến nơi, và nó chẳng rút lui cho đến khi Ðấng Tối Cao đoái nhìn. Chúa sẽ không trì hoãn, Người sẽ xét đoán những người công chính và sẽ ra lời phán quyết.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 17-18. 19 và 28","response":"Ðáp: Kìa người đau khổ cầu cứu và Chúa đã nghe (c. 7a).","verses":["Xướng: Tôi chúc tụng Thiên Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Thiên Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Thiên Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần ai. Người hiền đức kêu cầu và Chúa nghe lời họ, Người cứu họ khỏi mọi nỗi âu lo.","Xướng: Thiên Chúa gần gũi những kẻ đoạn trường, và cứu chữa những tâm hồn đau thương giập nát. Thiên Chúa cứu chữa linh hồn tôi tớ của Người, và phàm ai tìm đến nương tựa nơi Người, người đó sẽ không phải đền bồi tội lỗi."]},"secondReading":{"excerpt":"2 Tm 4, 6-8. 16-18","info":"“Từ đây triều thiên công chính đã dành cho cha”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, phần cha, cha đã già yếu, giờ ra đi của cha đã gần rồi. Cha đã chiến đấu trong trận chiến chính nghĩa, đã chạy đến cùng đường và đã giữ vững đức tin. Từ đây triều thiên công chính đã dành cho cha. Và trong ngày đó, Chúa là Ðấng phán xét chí công sẽ trao lại cho cha mũ triều thiên ấy; nhưng không phải cho cha mà thôi, mà còn cho những kẻ yêu mến trông đợi Người xuất hiện.\rLần đầu tiên cha đứng ra biện hộ cho cha, thì chẳng ai bênh đỡ cha, trái lại mọi người đều bỏ mặc cha: xin chớ chấp tội họ. Nhưng Chúa đã phù hộ cha và ban sức mạnh cho cha, để nhờ cha mà lời rao giảng được hoàn tất, và tất cả các Dân ngoại được nghe: vậy cha đã thoát khỏi miệng sư tử. Chúa đã giải thoát cha khỏi mọi sự dữ và cứu lấy cha để đưa vào nước Người trên trời. Nguyện chúc Người được vinh quang muôn đời! Amen.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Lc 18, 9-14","info":"“Người thu thuế ra về được khỏi tội”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu nói dụ ngôn sau đây với những ai hay tự hào mình là người công chính và hay khinh bỉ kẻ khác: “Có hai người lên đền thờ cầu nguyện, một người biệt phái, một người thu thuế. Người biệt phái đứng thẳng, cầu nguyện rằng: ‘Lạy Chúa, tôi cảm tạ Chúa vì tôi không như các người khác: tham lam, bất công, ngoại tình, hay là như tên thu thuế kia; tôi ăn chay mỗi tuần hai lần và dâng một phần mười tất cả các hoa lợi của tôi’. Người thu thuế đứng xa xa, không dám ngước mắt lên trời, đấm ngực và nguyện rằng: ‘Lạy Chúa, xin thương xót con là kẻ có tội’. Ta bảo các ngươi: người này ra về được khỏi tội, còn người kia thì không. Vì tất cả những ai tự nâng mình lên, sẽ bị hạ xuống, và ai hạ mình xuống, sẽ được nâng lên”.","end":"Ðó là lời Chúa"}}}
+    }
+});
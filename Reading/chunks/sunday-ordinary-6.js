@@ -0,0 +1,9 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("sunday-ordinary-6", {
+    "SUNDAY": {
+        "5310": {"A":{"firstReading":{"excerpt":"Ml 1, 14b – 2, 2b. 8-10","info":"“Các ngươi đã đi sai đường lối, và làm cho nhiều người vấp phạm lề luật”.","title":"Trích sách Tiên tri Malakhi.","content":"Chúa các đạo binh phán rằng: Ta là Vua cao cả, và danh Ta đáng kính sợ trong các dân tộc. [Ta sẽ làm cho các ngươi phải túng thiếu.]\r{Và bây giờ, trên các ngươi có án lệnh này, hỡi các tư tế: Nếu các ngươi không nghe, và nếu các ngươi không lưu tâm mà tôn vinh danh Ta, Chúa các đạo binh phán, Ta sẽ phóng (sự) chúc dữ xuống trên các ngươi; và Ta sẽ chúc dữ cho sự chúc lành của các ngươi.}\rCác ngươi đã đi sai đường lối, làm cho nhiều người vấp phạm lề luật và huỷ bỏ giao ước Lêvi, Chúa các đạo binh phán như vậy. Bởi thế, Ta để cho các ngươi bị khinh rẻ và đốn mạt trước mọi dân tộc, vì các ngươi đã không tuân giữ đường lối của Ta, và vị nể trong khi thi hành lề luật. Chớ thì mỗi người chúng ta không có một người cha sao? Chớ thì không phải có một Thiên Chúa tạo thành chúng ta sao? Vậy tại sao mỗi người chúng ta lại khinh rẻ anh em mình mà phản bội giao ước của tổ phụ chúng ta?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 130, 1. 2. 3","response":"Ðáp: Lạy Chúa, xin giữ linh hồn con trong bình an của Chúa.","verses":["Xướng: Lạy Chúa, lòng con không tự đắc, và mắt con chẳng liếc nhìn cao, con cũng không lo nghĩ những việc lớn lao hay là những điều quá tầm trí mọn.","Xướng: Nhưng con lo giữ linh hồn cho thinh lặng và thanh thản. Như trẻ thơ sống trong lòng thân mẫu, linh hồn con cũng như thế ở trong con. –","Xướng: Israel hãy cậy trông vào Chúa, tự bây giờ và cho tới muôn đời."]},"secondReading":{"excerpt":"1 Tx 2, 7b-9, 13","info":"“Chúng tôi muốn trao phó cho anh em, không những Tin Mừng của Thiên Chúa, mà còn mạng sống chúng tôi nữa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chúng tôi đã trở thành như những kẻ bé mọn giữa anh em. Như người vú nuôi nâng niu con cái mình thế nào, thì chúng tôi yêu thương anh em đến nỗi chúng tôi rất vui lòng trao phó cho anh em không những Tin Mừng của Thiên Chúa, mà còn cả mạng sống chúng tôi nữa: vì anh em đã nên thiết nghĩa với chúng tôi. Anh em vẫn còn nhớ đến công lao khó nhọc của chúng tôi: chúng tôi phải làm việc ngày đêm để khỏi trở nên gánh nặng cho một ai trong anh em, khi chúng tôi rao giảng Tin Mừng của Thiên Chúa giữa anh em. Bởi thế chúng tôi không ngừng cảm tạ Thiên Chúa, vì anh em nhận lãnh lời Thiên Chúa do chúng tôi rao giảng, anh em đã nhận lãnh lời ấy không phải như lời của người phàm, mà như lời Thiên Chúa, và thực sự là thế, lời đó hoạt động trong anh em là những kẻ đã tin.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ep 1, 17-18","content":"Alleluia, Alleluia – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 23, 1-12","info":"“Họ nói mà không làm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng và các môn đệ rằng: “Các Luật sĩ và các người biệt phái ngồi trên toà Môsê: vậy những gì họ nói với các ngươi, các ngươi hãy làm và tuân giữ, nhưng đừng noi theo hành vi của họ: vì họ nói mà không làm. Họ buộc những bó nặng và chất lên vai người ta, còn chính họ lại không muốn giơ ngón tay lay thử. Mọi công việc họ làm đều có ý cho người ta thấy: vì thế họ nới rộng thẻ kinh, may dài tua áo. Họ muốn được chỗ nhất trong đám tiệc và ghế đầu trong hội đường, ưa được bái chào nơi đường phố và được người ta xưng hô là “Thầy”. Phần các ngươi, các ngươi đừng muốn được người ta gọi là Thầy, vì các ngươi chỉ có một Thầy, còn tất cả các ngươi đều là anh em với nhau. Và các ngươi cũng đừng gọi ai dưới đất là cha: vì các ngươi chỉ có một Cha, Người ngự trên trời. Các ngươi cũng đừng bắt người ta gọi là người chỉ đạo: vì các ngươi có một người chỉ đạo, đó là Ðức Kitô. Trong các ngươi ai quyền thế hơn sẽ là người phục vụ các ngươi.\r“Hễ ai tự nhắc mình lên, sẽ bị hạ xuống, và ai tự hạ mình xuống, sẽ được nâng lên”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðnl 6, 2-6","info":"“Hỡi Israel, hãy nghe đây: Ngươi hãy yêu mến Chúa hết lòng ngươi”.","title":"Trích sách Ðệ Nhị Luật.","content":"Ông Môsê nói cùng dân chúng rằng: “Các ngươi hãy kính sợ Chúa là Thiên Chúa các ngươi, hãy tuân giữ mọi huấn lệnh và giới răn của Người mà tôi truyền dạy cho các ngươi, cho con cái cháu chắt các ngươi tuân giữ mọi ngày trong đời sống các ngươi, để các ngươi được sống lâu dài.\r“Hỡi Israel, hãy nghe đây mà tuân hành các điều Chúa truyền dạy cho ngươi, thì ngươi được phần phúc và sinh sản ra nhiều hơn, như lời Chúa là Thiên Chúa tổ phụ ngươi đã hứa ban cho ngươi phần đất chảy sữa và mật.\r“Hỡi Israel, hãy nghe đây, Chúa là Thiên Chúa chúng ta, là Chúa độc nhất. Hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn và hết sức ngươi. Những lời tôi truyền cho ngươi hôm nay, phải ghi tạc vào lòng”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 47-51ab","response":"Ðáp: Lạy Chúa là dũng lực con, con yêu mến Chúa (c. 2).","verses":["Xướng: Lạy Chúa là dũng lực con, con yêu mến Chúa; lạy Chúa là đá tảng, chiến luỹ, cứu tinh.","Xướng: Lạy Chúa là Thiên Chúa, là sơn động chỗ con nương mình, là khiên thuẫn, là uy quyền cứu độ, là sức hộ phù con. Con xướng ca khen ngợi cầu cứu Chúa, và con sẽ được cứu thoát khỏi tay quân thù.","Xướng: Vạn tuế Thiên Chúa, chúc tụng Ðá Tảng của con, ngợi khen Thiên Chúa là Ðấng cứu độ con. Ngài đã ban cho đức vua được đại thắng, đã tỏ lòng từ bi với Ðấng được xức dầu của Ngài."]},"secondReading":{"excerpt":"Dt 7, 23-28","info":"“Vì lẽ Người tồn tại đời đời, nên Người có một chức tư tế hằng hữu”.","title":"Trích thư gởi cho tín hữu Do-thái.","content":"Anh em thân mến, có nhiều người làm tư tế (của Giao Ước cũ), vì lẽ sự chết ngăn trở họ tồn tại lâu bền. Còn Ðức Kitô, vì lẽ Người tồn tại đời đời, nên Người có một chức tư tế hằng hữu. Bởi đó, Người có thể cứu độ cách vĩnh viễn những ai nhờ Người mà đến với Thiên Chúa, vì Người hằng sống để chuyển cầu cho chúng ta.\rPhải, vì chúng ta cần một vị Thượng tế thánh thiện, vô tội, tinh tuyền, tách biệt khỏi kẻ tội lỗi và đã được nâng cao trên các tầng trời. Người không cần phải như các tư tế hằng ngày dâng lên của lễ trước là đền tội lỗi mình, sau là đền tội lỗi dân chúng, vì Người làm việc ấy chỉ có một lần khi hiến dâng chính mình. Vì Lề luật thì đặt những người yếu đuối làm tư tế, còn lời thề có sau Lề luật thì đặt Người Con hoàn hảo làm Thượng tế đến muôn đời.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 4, 4b","content":"Alleluia, Alleluia – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mc 12, 28b-34","info":"“Ðó là giới răn thứ nhất, còn giới răn thứ hai cũng giống như giới răn thứ nhất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, có người trong nhóm luật sĩ tiến đến Chúa Giêsu và hỏi Người rằng: “Trong các giới răn điều nào trọng nhất?” Chúa Giêsu đáp:\r“Giới răn trọng nhất chính là: Hỡi Israel, hãy nghe đây: Thiên Chúa, Chúa chúng ta, là Chúa duy nhất, và ngươi hãy yêu mến Thiên Chúa ngươi hết lòng, hết linh hồn, hết trí khôn và hết sức ngươi. Còn đây là giới răn thứ hai: Ngươi hãy yêu mến tha nhân như chính mình ngươi. Không có giới răn nào trọng hơn hai giới răn đó”.\rLuật sĩ thưa Ngài: “Thưa Thầy, đúng lắm! Thầy dạy phải lẽ khi nói Thiên Chúa là Chúa duy nhất và ngoài Người chẳng có Chúa nào khác nữa. Mến Chúa hết lòng, hết trí khôn, hết sức mình, và yêu tha nhân như chính mình thì hơn mọi lễ vật toàn thiêu và mọi lễ vật hy sinh”.\rThấy người ấy tỏ ý kiến khôn ngoan, Chúa Giêsu bảo: “Ông không còn xa Nước Thiên Chúa bao nhiêu”. Và không ai dám hỏi Người thêm điều gì nữa.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Kn 11, 23 – 12, 2","info":"“Chúa thương xót mọi loài, vì Chúa yêu thương mọi tạo vật”.","title":"Trích sách Khôn Ngoan.","content":"Lạy Chúa, trước mặt Chúa, cả vũ trụ ví như hạt gạo trên đĩa cân, và như hạt sương sa trên mặt đất trước lúc rạng đông. Nhưng Chúa thương xót mọi loài, vì Chúa có thể tác tạo mọi sự, và nhắm mắt làm ngơ trước tội lỗi loài người để họ ăn năn sám hối. Chúa yêu thương mọi tạo vật, và không ghét bỏ bất cứ vật gì Chúa đã tác thành: vì nếu Chúa ghét bỏ một vật gì, thì Người đâu có tác tạo nó.\rNếu Chúa không ưng, thì làm sao một vật có thể tồn tại được? Hoặc vật gì Chúa không kêu gọi, thì làm sao nó duy trì được? Nhưng Chúa dung thứ hết mọi loài: vì chúng thuộc về Chúa. Lạy Chúa, Chúa yêu thương các linh hồn.\rÔi lạy Chúa, thần trí của Chúa tốt lành và hiền hậu đối với mọi loài là dường nào! Vì thế, lạy Chúa, Chúa từ từ sửa phạt những kẻ lầm lạc, khuyên răn và dạy bảo những kẻ phạm lỗi, để họ từ bỏ tội ác mà tin theo Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 1-2. 8-9. 10-11. 13cd-14","response":"Ðáp: Lạy Chúa, lạy Thiên Chúa, con sẽ chúc tụng danh Chúa tới muôn đời (x. c. 1).","verses":["Xướng: Lạy Chúa con, lạy Thiên Chúa, con sẽ ca khen Chúa, và con sẽ chúc tụng danh Chúa tới muôn đời. Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời.","Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Chúa trung thành trong mọi lời Ngài phán, và thánh thiện trong mọi việc Ngài làm. Chúa nâng đỡ hết thảy những ai sa ngã, và cho mọi kẻ khòm lưng đứng thẳng lên."]},"secondReading":{"excerpt":"2 Tx 1, 11 – 2, 2","info":"“Danh Chúa được vinh hiển trong anh em, và anh em được vinh hiển trong Người”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chúng tôi hằng cầu nguyện cho anh em: Thiên Chúa chúng ta đoái thương làm cho anh em nên xứng đáng ơn Chúa kêu gọi anh em, và xin Người dùng quyền phép mà kiện toàn những ý định ngay lành do lòng tốt của anh em và công việc của lòng tin anh em, để danh Ðức Giêsu Kitô, Chúa chúng ta, được vinh hiển trong anh em, và anh em được vinh hiển trong Người, do ân sủng của Thiên Chúa, Chúa chúng ta, và của Chúa Giêsu Kitô.\rAnh em thân mến, nhân về ngày trở lại của Ðức Giêsu Kitô, Chúa chúng ta, và về sự chúng ta tập họp bên cạnh Người, chúng tôi nài xin anh em chớ vội để mình bị giao động tinh thần, và đừng hoảng sợ bởi có ai nói tiên tri, hoặc bởi lời rao giảng hay bởi thư từ nào được coi như do chúng tôi gởi đến, mà nói như thể ngày Chúa gần đến.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Ga 14, 5","content":"Alleluia, Alleluia – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy. – Alleluia."},"gospel":{"excerpt":"Lc 19, 1-10","info":"“Con Người đến tìm kiếm và cứu chữa điều gì đã hư mất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu vào Giêricô và đi ngang qua thành, thì kìa, có một người tên là Giakêu, ông thủ lãnh những người thu thuế và là người giàu có. Ông tìm cách để nhìn xem Chúa Giêsu là người thế nào, nhưng không thể được, vì người ta đông quá, mà ông lại thấp bé. Vậy ông chạy lên trước, trèo lên một cây sung để nhìn xem Người, vì Người sắp đi ngang qua đó.\rKhi vừa đến nơi, Chúa Giêsu nhìn lên và trông thấy ông ấy, nên Người bảo ông rằng: “Hỡi Giakêu, hãy xuống mau, vì hôm nay Ta phải lưu lại tại nhà ngươi”. Ông vội vàng trụt xuống và vui vẻ đón tiếp Người. Mọi người thấy vậy, liền lẩm bẩm rằng: “Ông này lại đến trọ nhà một người tội lỗi”.\rÔng Giakêu đứng lên thưa cùng Chúa rằng: “Lạy Ngài, tôi xin bố thí nửa phần của cải tôi cho kẻ khó, và nếu tôi có làm thiệt hại cho ai điều gì, tôi xin đền gấp bốn”. Chúa Giêsu bảo ông ấy rằng: “Hôm nay nhà này được ơn cứu độ, bởi người này cũng là con cái Abraham. Vì chưng Con Người đến tìm kiếm và cứu chữa điều gì đã hư mất”.","end":"Ðó là lời Chúa"}}},
+        "5320": {"A":{"firstReading":{"excerpt":"Kn 6, 13-17 (Hl 12-16)","info":"“Những ai tìm kiếm sự khôn ngoan, sẽ gặp được nó”.","title":"Trích sách Khôn Ngoan.","content":"Sự khôn ngoan sáng tỏ, và không bao giờ lu mờ, những ai yêu mến nó, sẽ xem nó dễ dàng, và những ai tìm kiếm nó, sẽ gặp được nó. Nó sẽ đón tiếp những ai khao khát nó, để tỏ mình ra cho họ trước.\rTừ sáng sớm, ai tỉnh thức tiến lại gần nó, sẽ không lao nhọc, vì sẽ gặp nó ngồi nơi cửa nhà mình. Vậy tưởng nhớ đến nó là được khôn sáng vẹn tuyền; và ai tỉnh thức vì nó, sẽ chóng được an tâm. Vì nó chu du tìm kiếm những kẻ xứng đáng với mình, vui vẻ tỏ mình ra cho những kẻ ấy trong các đường lối, và hết sức ân cần đón tiếp họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6. 7-8","response":"Ðáp: Lạy Chúa là Thiên Chúa con, linh hồn con khao khát Chúa","verses":["Xướng: Ôi lạy Chúa, Chúa là Thiên Chúa của con, con thao thức chạy kiếm Ngài. Linh hồn con khát khao, thể xác con mong đợi Chúa con, như đất héo khô, khát mong mà không gặp nước.","Xướng: Con cũng mong được chiêm ngưỡng thiên nhan ở thánh đài, để nhìn thấy quyền năng và vinh quanh của Chúa. Vì ân tình của Ngài đáng chuộng hơn mạng sống, miệng con sẽ xướng ca ngợi khen Ngài.","Xướng: Con sẽ chúc tụng Ngài như thế trọn đời con, con sẽ giơ tay kêu cầu danh Chúa. Hồn con được no thỏa dường như bởi mỹ vị cao lương, và miệng con ca ngợi Chúa với cặp môi hoan hỉ.","Xướng: Trên giường ngủ, khi con nhớ Chúa, con ngẫm suy về Chúa suốt năm canh. Vì Chúa đã ra tay trợ phù con, để con được hoan hỉ núp trong bóng cánh của Ngài."]},"secondReading":{"excerpt":"1 Tx 4, 13 – 14","info":"“Nhờ Ðức Giêsu, Thiên Chúa sẽ đem những người đã chết đến làm một với Người”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chúng tôi chẳng muốn để anh em không biết gì về số phận những người đã an nghỉ, để anh em khỏi buồn phiền như những người khác, là những kẻ không có niềm hy vọng. Vì nếu chúng ta tin Ðức Giêsu đã chết và đã sống lại, thì cũng vậy, những người đã chết nhờ Ðức Giêsu, Thiên Chúa sẽ đem họ đến làm một với Người.\r{Bởi vậy, chúng tôi dựa vào lời Chúa để nói cùng anh em điều này: chúng ta, những kẻ đang sống, những kẻ còn sót lại khi Chúa đến, thì chúng ta không đi trước những người đã an nghỉ. Vì khi nghe lệnh và tiếng Tổng lãnh Thiên thần, và tiếng loa Thiên Chúa, thì chính Chúa từ trời ngự xuống, và những người đã chết trong Ðức Kitô sẽ sống lại trước hết, rồi đến chúng ta, những kẻ đang sống, những kẻ còn sống sót, chúng ta sẽ được nhắc lên cùng với họ trên các tầng mây, đi đón Ðức Kitô trên không trung, và như vậy, chúng ta sẽ được ở cùng Chúa luôn mãi. Vì thế, anh em hãy dùng những lời đó mà an ủi nhau.}","end":"Ðó là lời Chúa"},"alleluia":{"verse":"1 Sm 3, 9","content":"Alleluia, Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 25, 1-13","info":"“Kia chàng rể đến, hãy ra đón người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo; còn những cô khôn ngoan đã mang đèn lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa Ngài, xin mở cửa cho chúng tôi”. Nhưng Người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”.\r“Vậy hãy tỉnh thức, vì các ngươi không biết ngày nào, giờ nào”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"V 17, 10-16","info":"“Bà goá lấy bột làm một cái bánh nhỏ, rồi mang đên cho ông Êlia”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, tiên tri Êlia chỗi dậy lên đường đi Sarephta. Khi ông đến trước cửa thành, ông thấy một quả phụ đang lượm củi; ông gọi bà và nói với bà rằng: “Xin đem cho tôi một ít nước trong bình để tôi uống”. Ðương lúc bà đi lấy nước, ông gọi lại mà nói: “Xin cũng mang cho tôi một miếng bánh”.\rBà thưa: “Có Chúa là Thiên Chúa hằng sống chứng giám: Tôi không có sẵn bánh, tôi chỉ còn một nắm bột trong hũ với một ít dầu trong bình. Này đây tôi lượm vài que củi về nấu cho tôi và con trai tôi ăn, rồi chết thôi”.\rÊlia trả lời bà rằng: “Bà đừng lo, cứ đi và làm như bà đã nói. Nhưng, với chút bột ấy trước hết hãy làm cho tôi một cái bánh nhỏ, đem ra đây cho tôi, sau đó hãy làm cho bà và con trai bà. Vì Chúa là Thiên Chúa Israel truyền rằng: ‘Hũ bột sẽ không cạn và bình dầu sẽ không vơi đi cho đến ngày Chúa cho mưa xuống trên mặt đất'”.\rBà đi làm theo lời ông Êlia; chính ông và bà cùng cả nhà đều đủ ăn; từ ngày đó hũ bột không cạn và bình dầu không vơi như lời Chúa đã dùng Êlia mà phán.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","response":"Ðáp: Linh hồn tôi ơi, hãy ngợi khen Chúa! (c. 1).","verses":["Xướng: Thiên Chúa trả lại quyền lợi cho người bị áp bức, và ban cho những kẻ đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội.","Xướng: Thiên Chúa mở mắt những kẻ đui mù, Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quý các bậc hiền nhân, Thiên Chúa che chở những khách kiều cư.","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời, Sion hỡi, Ðức Thiên Chúa của người sẽ làm vua tự đời này sang đời khác."]},"secondReading":{"excerpt":"Dt 9, 24-28","info":"“Ðức Kitô chỉ tế lễ chính mình một lần để huỷ diệt nhiều tội lỗi”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Ðức Giêsu không tiến vào cung thánh do tay người phàm làm ra chỉ là hình bóng cung thánh thật, nhưng Người vào chính thiên đàng, để từ đây xuất hiện trước tôn nhan Thiên Chúa vì chúng ta. Người không còn hiến dâng chính mình nhiều lần, như vị thượng tế vào cung thánh mỗi năm một lần với máu không phải của mình. Chẳng vậy, từ tạo thiên lập địa, Người đã phải chết nhiều lần; nhưng từ nay cho đến tận thế, Người chỉ xuất hiện một lần tế lễ chính mình để huỷ diệt tội lỗi. Như đã quy định, người ta chỉ chết một lần thế nào, sau đó là phán xét, thì Ðức Kitô cũng hiến tế một lần như vậy, để xoá tội lỗi của nhiều người. Người sẽ xuất hiện lần thứ hai, không phải để chuộc tội, nhưng để cứu độ những ai trông đợi Người.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 24, 42a và 44","content":"Alleluia, Alleluia – Các con hãy tỉnh thức và sẵn sàng: vì lúc các con không ngờ, Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Mc 12, 41-44 {hoặc 38-44}","info":"“Bà góa nghèo này đã bỏ nhiều hơn hết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, {Chúa Giêsu phán cùng dân chúng trong khi giảng dạy rằng: “Các ngươi hãy coi chừng bọn luật sĩ. Họ thích đi lại trong bộ áo thụng, ưa được bái chào ngoài công trường, chiếm những ghế nhất trong hội đường và trong đám tiệc. Họ giả bộ đọc những kinh dài để nuốt hết tài sản của các bà goá: Họ sẽ bị kết án nghiêm ngặt hơn”.}\rChúa Giêsu ngồi đối diện với hòm tiền, quan sát dân chúng bỏ tiền vào hòm, và có lắm người giàu bỏ nhiều tiền. Chợt có một bà goá nghèo đến bỏ hai đồng tiền là một phần tư xu. Người liền gọi các môn đệ và bảo: “Thầy nói thật với các con: Trong những người đã bỏ tiền vào hòm, bà goá nghèo này đã bỏ nhiều hơn hết. Vì tất cả những người kia bỏ của mình dư thừa, còn bà này đang túng thiếu, đã bỏ tất cả những gì mình có để nuôi sống mình”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"2 Mcb 7, 1-2. 9-14","info":"“Vua vũ trụ sẽ làm cho chúng tôi được sống lại trong cuộc sống đời đời”.","title":"Trích sách Macabê quyển thứ hai.","content":"Trong những ngày ấy, có bảy anh em bị bắt làm một với mẹ mình, và bị vua cho đánh bằng roi da và roi gân bò, bắt ép ăn thịt heo mà lề luật đã cấm. Nhưng người anh cả của chúng tâu vua rằng: “Bệ hạ còn hỏi han và muốn dò xét chúng tôi làm chi? Chúng tôi sẵn sàng chịu chết hơn là phạm đến lề luật Thiên Chúa đã truyền cho tổ phụ chúng tôi”.\rKhi sắp thở hơi cuối cùng, người con thứ hai tâu vua rằng: “Hỡi vua độc ác kia, vua chỉ cất mất mạng sống chúng tôi ở đời này, nhưng Vua vũ trụ sẽ làm cho chúng tôi, là những kẻ đã chết vì lề luật của Người, được sống lại trong cuộc sống đời đời”.\rSau khi người con thứ hai chết, thì đến người con thứ ba chịu cực hình, tên lý hình bảo cậu le lưỡi, cậu liền le lưỡi, dõng dạc giang hai tay ra và nói một cách tin tưởng rằng: “Tôi được Trời ban cho các phần thân thể này, nhưng giờ đây vì lề luật của Thiên Chúa, tôi khinh chê chúng, bởi tôi trông cậy rằng Người sẽ ban lại cho tôi các phần thân thể ấy”. Nhà vua và những kẻ tuỳ tùng của ông lấy làm bỡ ngỡ thấy lòng mạnh bạo của cậu trẻ coi các cực hình như không.\rNgười con thứ ba chết rồi, thì người ta bắt người con thứ tư chịu cùng một cực hình. Lúc sắp chết, cậu nói rằng: “Thà chịu chết do tay người đời mà trông cậy Thiên Chúa sẽ cho sống lại thì hơn: Phần vua, vua sẽ không được sống lại để sống đời đời đâu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 16, 1. 5-6. 8b và 15","response":"Ðáp: Lạy Chúa, khi thức giấc, con no thỏa nhìn chân dung Chúa (c. 15b).","verses":["Xướng: Lạy Chúa, xin nghe điều chính nghĩa của con, xin để ý đến lời con kêu cứu, lắng tai nghe tiếng con thốt ra tự cặp môi chân thành.","Xướng: Bước con đi bám chặt đường lối của Ngài, chân con đã không hề xiêu té. Con kêu van Ngài, bởi Ngài nhậm lời con, lạy Chúa, xin lắng tai về bên con, xin nghe rõ tiếng con.","Xướng: Xin che chở con trong bóng cánh của Ngài. Phần con, nhờ công chính, sẽ được thấy thiên nhan, khi thức giấc, con no thỏa nhìn chân dung Chúa. –"]},"secondReading":{"excerpt":"2 Tx 2, 15 – 3, 5","info":"“Chúa làm cho lòng anh em bền vững trong mọi việc làm và lời nói tốt lành”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, nguyện xin Ðức Giêsu Kitô, Chúa chúng ta, và Thiên Chúa là Cha chúng ta, Ðấng đã thương yêu chúng ta và dùng ân sủng của Người mà ban cho chúng ta sự an ủi đời đời và lòng cậy trông tốt lành, xin Người khuyên bảo và làm cho lòng anh em bền vững trong mọi việc làm và lời nói tốt lành.\rAnh em thân mến, ngoài ra, xin anh em hãy cầu nguyện cho chúng tôi, để lời Thiên Chúa chóng lan tràn và được vinh hiển như việc đã thể hiện nơi anh em, và để chúng tôi thoát khỏi tay những kẻ lầm lạc và xấu xa: vì không phải hết mọi người đều có lòng tin. Nhưng Thiên Chúa là Ðấng trung thành, Người sẽ làm cho anh em được kiên vững và gìn giữ anh em khỏi sự dữ. Chúng tôi tin tưởng anh em trong Chúa: những điều chúng tôi truyền dạy, anh em hiện đang thi hành và sẽ còn thi hành. Nguyện xin Chúa hướng lòng anh em đến tình yêu Thiên Chúa và lòng kiên nhẫn của Ðức Kitô.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 21, 36","content":"Alleluia, Alleluia – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể thoát khỏi những việc sắp xảy đến và đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 20, 27-38","info":"“Thiên Chúa không phải là Thiên Chúa của kẻ chết, mà là của kẻ sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có mấy người thuộc phái Sađốc, là những người chối không tin có sự sống lại, đến gần Chúa Giêsu hỏi Người rằng: “Thưa Thầy, Môsê đã viết cho chúng tôi: Nếu ai có một người anh cưới vợ, rồi chết đi mà không có con, thì người em phải cưới người vợ goá đó, để cho anh mình có kẻ nối giòng. Vậy có bảy anh em: người thứ nhất cưới vợ rồi chết mà không có con. Người kế tiếp cưới vợ goá đó, rồi cũng chết không con. Người thứ ba cũng cưới người vợ goá đó. Và tất cả bảy người đều cưới như vậy và đều chết mà không để lại người con nào; sau cùng người thiếu phụ đó cũng chết. Vậy đến ngày sống lại, người đàn bà đó sẽ là vợ ai trong các người ấy? vì tất cả bảy người đều lấy người ấy làm vợ”.\rChúa Giêsu trả lời họ rằng: “Con cái đời này cưới vợ, lấy chồng, song những ai sẽ xét đáng được dự phần đời sau và được sống lại từ cõi chết, thì sẽ không cưới vợ lấy chồng. Họ sẽ không thể chết nữa: vì họ giống như thiên thần. Họ là con cái Thiên Chúa: vì họ là con cái của sự sống lại. Về vấn đề kẻ chết sống lại, thì Môsê đã cho biết điều ấy trong đoạn nói về Bụi gai, khi ông gọi Chúa là Thiên Chúa Abraham, Thiên Chúa Isaac, và Thiên Chúa Giacóp. Nhưng Thiên Chúa không phải là Thiên Chúa của kẻ chết, mà là của kẻ sống. Vì mọi người đều sống cho Chúa”.","end":"Ðó là lời Chúa"}}},
+        "5330": {"A":{"firstReading":{"excerpt":"Cn 31, 10-13, 19-20. 30-31","info":"“Nàng cần mẫn dùng tay làm việc”.","title":"Trích sách Châm Ngôn.","content":"Ai tìm được một người vợ tài đức? Nàng đáng giá hơn ngọc ngà. Chồng nàng đặt lòng tin tưởng nơi nàng và chàng không thiếu thốn vật thực. Trọn đời, nàng sẽ mang lại cho chồng sự lành, chứ không phải sự dữ. Nàng tìm lông chiên và sợi gai, rồi nàng cần mẫn dùng tay làm việc. Nàng ra tay đưa thoi dệt vải, và ngón tay nàng cầm xe kéo sợi. Nàng rộng tay bố thí cho người nghèo khó, và giơ tay hướng dẫn kẻ bần cùng.\rDuyên dáng thì giả dối và nhan sắc thì hão huyền: Người phụ nữ kính sợ Chúa, sẽ được ca tụng. Hãy tặng cho nàng hoa quả do tay mình làm ra, và sự nghiệp của nàng hãy ca tụng nàng tại các cửa thành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Phúc thay những bạn nào tôn sợ Thiên Chúa","verses":["Xướng:  Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người. Công quả tay bạn làm ra bạn được an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thất nội cung nhà bạn, con cái bạn như những chồi non của khóm ô liu, ở chung quanh bàn ăn của bạn.","Xướng: Ðó là phúc lộc dành để cho người biết tôn sợ Thiên Chúa. Nguyện Thiên Chúa từ Si-on chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giê-ru-sa-lem, hết mọi ngày trong đời sống bạn."]},"secondReading":{"excerpt":"1 Tx 5, 1-6","info":"“Ngày của Chúa bắt chợt anh em như kẻ trộm”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Thê-xa-lô-ni-ca.","content":"Anh em thân mến, về thời nào và lúc nào, anh em không cần chúng tôi viết cho anh em. Vì chính anh em đã biết rõ ngày Chúa sẽ đến như kẻ trộm trong đêm tối.\rKhi người ta nói rằng: “Yên ổn và an toàn”, thì chính lúc đó tai hoạ thình lình giáng xuống trên họ, như cơn đau đớn xảy đến cho người mang thai và họ không sao thoát khỏi. Phần anh em, hỡi anh em thân mến, anh em không còn tối tăm, đến nỗi ngày đó bắt chợt anh em như kẻ trộm, vì tất cả anh em là con cái sự sáng, con cái ban ngày; chúng ta không thuộc về ban đêm và tối tăm. Vậy chúng ta đừng mê ngủ như những người khác, nhưng hãy tỉnh thức và điều độ.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Lc 21, 36","content":"Alleluia, Alleluia – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Mt 25, 14-30","info":"“Vì ngươi đã trung tín trong việc nhỏ, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ dụ ngôn này rằng: “Có một người kia sắp đi xa, liền gọi các đầy tớ đến mà giao phó tài sản của ông. Ông trao cho người này năm nén bạc, người kia hai nén, người khác nữa một nén, tuỳ theo khả năng của mỗi người, đoạn ông ra đi.\r“Người lãnh năm nén bạc, ra đi và dùng tiền ấy buôn bán làm lợi được năm nén khác. Người lãnh hai nén cũng đi làm lợi được hai nén khác. Còn người lãnh một nén, thì đi đào lỗ chôn giấu tiền của chủ mình.\r“Sau một thời gian lâu dài, ông chủ các đầy tớ ấy trở về và đòi họ tính sổ. Vậy người lãnh năm nén bạc đến, mang theo năm nén khác mà nói rằng: “Thưa ông, ông trao cho tôi năm nén bạc, đây tôi làm lợi được năm nén khác”. Ông chủ bảo người ấy rằng: “Hỡi đầy tớ tốt lành và trung tín, vì ngươi đã trung tín trong việc nhỏ, ta sẽ đặt ngươi làm những việc lớn, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”. Người đã lãnh hai nén bạc cũng đến và nói: “Thưa ông, ông đã trao cho tôi hai nén bạc; đây tôi đã làm lợi được hai nén khác”. Ông chủ bảo người ấy rằng: “Hỡi đầy tớ tốt lành và trung tín, vì ngươi đã trung tín trong việc nhỏ, ta sẽ đặt ngươi làm những việc lớn, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”.\r“Còn người lãnh một nén bạc đến và nói: “Thưa ông, tôi biết ông là người keo kiệt, gặt nơi không gieo và thu nơi ông không phát: nên tôi khiếp sợ (mà) đi chôn giấu nén bạc của ông dưới đất. Ðây của ông, xin trả lại cho ông”. Ông chủ trả lời người ấy rằng: “Hỡi đầy tớ hư thân và biếng nhác, người đã biết ta gặt chỗ không gieo, thu nơi không phát: vậy lẽ ra người phải giao bạc của ta cho người đổi tiền, và khi ta trở về, ta sẽ thu cả vốn lẫn lời. Bởi thế, các ngươi hãy lấy nén bạc lại mà trao cho người có mười nén. Vì người có sẽ cho thêm và sẽ được dư dật, còn kẻ chẳng có, thì vật gì coi như của nó, cũng lấy đi. Còn tên đầy tớ vô dụng, các ngươi hãy ném nó ra ngoài vào nơi tối tăm, ở đó sẽ phải khóc lóc nghiến răng”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðn 12, 1-3","info":"“Khi ấy dân ngươi sẽ được cứu thoát”.","title":"Trích sách Tiên tri Ðaniel.","content":"Khi ấy, tổng lãnh sứ thần Micae sẽ chỗi dậy can thiệp cho con cái dân ngươi, đó sẽ là thời kỳ khốn khổ chưa từng xảy đến từ khi có các dân tộc cho tới bây giờ. Trong thời kỳ ấy dân ngươi, hễ ai đã có ghi tên trong sách, sẽ được cứu thoát.\rNhiều kẻ an giấc trong bụi đất sẽ chỗi dậy; có người sẽ được hưởng phúc trường sinh, có kẻ phải tủi nhục muôn đời.\rNhững người thông minh sẽ sáng chói như ánh sáng vòm trời, và những kẻ khuyên dạy sự công chính cho nhiều người, sẽ nên như các vì tinh tú tồn tại muôn ngàn đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 5 và 8. 9-10. 11","response":"Ðáp: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa (c. 1).","verses":["Xướng: Chúa là phần gia nghiệp và phần chén của con, chính Người nắm giữ vận mạng của con. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Bởi thế lòng con vui mừng và linh hồn con hoan hỉ, ngay cả đến xác thịt của con cũng nằm nghỉ an toàn, vì Chúa chẳng bỏ rơi linh hồn con trong âm phủ, cũng không để thánh nhân của Người thấy điều hư nát.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh: sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn muôn đời!"]},"secondReading":{"excerpt":"Dt 10, 11-14. 18","info":"“Người đã làm cho những kẻ được thánh hoá nên hoàn hảo đến muôn đời”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Trong khi mọi tư tế hằng ngày đứng gần bàn thờ chu toàn chức vụ mình và hiến dâng cũng ngần ấy của lễ nhiều lần, nhưng không bao giờ xoá được tội lỗi, còn Người khi dâng xong của lễ duy nhất đền tội, đã ngự bên hữu Thiên Chúa đến muôn đời, và từ đây, Người chờ đợi cho đến khi thù địch bị đặt làm bệ dưới chân Người. Vì chưng, nhờ việc hiến dâng duy nhất mà Người đã làm cho những kẻ được thánh hoá nên hoàn hảo đến muôn đời. Vậy nơi nào tội lỗi được thứ tha, thì không còn việc dâng của lễ đền tội nữa.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Kh 2, 10c","content":"Alleluia, Alleluia – Chúa phán: “Ngươi hãy giữ lòng trung thành cho đến chết, thì Ta sẽ ban cho ngươi triều thiên sự sống”. – Alleluia."},"gospel":{"excerpt":"Mc 13, 24-32","info":"“Người sẽ quy tụ những người được tuyển chọn từ khắp bốn phương trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Trong những ngày ấy, sau cảnh khốn cực, mặt trời sẽ ra tối tăm, mặt trăng sẽ mất sáng, các ngôi sao sẽ từ trời rơi xuống và các sức mạnh trên trời sẽ bị lay chuyển. Bấy giờ thiên hạ sẽ thấy Con Người ngự đến trên đám mây với đầy quyền năng và vinh quang. Và bấy giờ Người sẽ sai các thiên thần của Người đi quy tụ những kẻ đã được tuyển chọn từ khắp bốn phương, từ chân trời cho đến cùng kiệt trái đất. Nhìn vào cây vả, các con hãy tìm hiểu dụ ngôn này. Khi nó đâm chồi nảy lộc, các con biết rằng mùa hè gần đến. Cũng vậy, khi các con nhìn thấy tất cả những điều đó xảy ra, thì các con hãy biết là Người đã tới gần ngoài cửa rồi. Thầy bảo thật các con: Thế hệ này sẽ chẳng qua đi trước khi mọi sự đó xảy đến. Trời đất sẽ qua đi, nhưng lời Thầy nói sẽ chẳng qua đi.\r“Còn về ngày đó hay giờ đó, thì không một ai biết được, dù các thiên thần trên trời, dù Con Người cũng chẳng biết, chỉ có mình Cha biết thôi”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"Ml 4, 1-2a","info":"“Các ngươi sẽ được Mặt Trời công chính mọc lên cho”.","title":"Trích sách Tiên tri Malakhi.","content":"“Ðây sẽ đến ngày bừng cháy lên như lò lửa: tất cả những kẻ kiêu căng và những người làm tội ác sẽ như rơm rạ, ngày ấy đến sẽ thiêu đốt họ, và không để sót lại cho họ cội rễ ngành chồi gì cả, Chúa các đạo binh phán như vậy. Phần các ngươi là những kẻ kính sợ thánh danh Ta, các ngươi sẽ được Mặt Trời công chính mọc lên cho, mang theo sự cứu chữa trong cánh Người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 5-6. 7-8. 9","response":"Ðáp: Chúa ngự tới cai quản chư dân trong đường chính trực (x. c. 9).","verses":["Xướng: Hãy ca mừng Chúa với đàn cầm, với cây đàn cầm, với điệu nhạc du dương, cùng với tiếng kèn râm ran, tiếng tù và rúc, hãy hoan hô trước thiên nhan Chúa là Vua.","Xướng: Biển khơi và muôn vật trong đó hãy rống tiếng lên, cả địa cầu và những dân cư ngụ ở trong cũng thế. Các sông ngòi hãy vỗ tay reo, đồng thời các núi non hãy hân hoan nhảy nhót.","Xướng:  Trước thiên nhan Chúa vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người cai quản địa cầu với đức công minh, và cai quản chư dân trong đường chính trực."]},"secondReading":{"excerpt":"2 Tx 3, 7-12","info":"“Nếu ai không muốn làm việc thì đừng có ăn”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chính anh em biết phải noi gương chúng tôi thế nào, bởi vì chúng tôi đã không lười biếng lúc ở giữa anh em, cũng không ăn bám của ai, nhưng chúng tôi làm lụng khó nhọc vất vả đêm ngày, để không trở nên gánh nặng cho người nào trong anh em. Không phải chúng tôi không có quyền, nhưng là để nêu gương cho anh em, để anh em bắt chước chúng tôi. Bởi vì khi chúng tôi còn ở với anh em, chúng tôi đã truyền dạy anh em rằng: “Nếu ai không muốn làm việc, thì đừng có ăn”. Vì chúng tôi nghe tin có một số người trong anh em sống nhàn cư, chẳng làm việc gì hết, nhưng lại dây mình vào mọi việc. Ðối với những hạng người đó, chúng tôi mời gọi và khuyến cáo họ trong Chúa Giêsu Kitô, để họ yên hàn làm việc và dùng lương thực mình tìm ra.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 24, 42a và 44","content":"Alleluia, Alleluia – Các con hãy tỉnh thức và sẵn sàng, vì lúc các con không ngờ, Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Lc 21, 5-19","info":"“Các con cứ bền đỗ, các con sẽ giữ được linh hồn các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có mấy người trầm trồ về đền thờ được trang hoàng bằng đá tốt và những lễ vật quý, nên Chúa Giêsu phán rằng: “Những gì các con nhìn ngắm đây, sau này sẽ đến ngày không còn hòn đá nào nằm trên hòn đá nào mà chẳng bị tàn phá”. Bấy giờ các ông hỏi Người rằng: “Thưa Thầy, bao giờ những sự ấy sẽ xảy ra, và cứ dấu nào mà biết những sự đó sắp xảy đến?” Người phán: “Các con hãy ý tứ kẻo bị người ta lừa dối. Vì chưng, sẽ có nhiều kẻ mạo danh Thầy đến mà tự xưng rằng: ‘Chính ta đây và thời giờ đã gần đến’. Các con chớ đi theo chúng. Khi các con nghe nói có chiến tranh loạn lạc, các con đừng sợ, vì những sự ấy phải đến trước đã, nhưng chưa phải là hết đời ngay đâu”.\rBấy giờ Người phán cùng các ông ấy rằng: “Dân này sẽ nổi dậy chống lại dân kia, và nước này sẽ chống với nước nọ. Sẽ có những cuộc động đất lớn mọi nơi; sẽ có ôn dịch đói khát, những hiện tượng kinh khủng từ trên trời và những điềm lạ cả thể. Nhưng trước những điều đó, người ta sẽ tra tay bắt bớ, ức hiếp và nộp các con đến các hội đường và ngục tù, điệu các con đến trước mặt các vua chúa quan quyền vì danh Thầy; các con sẽ có dịp làm chứng. Vậy các con hãy ghi nhớ điều này trong lòng, là chớ lo trước các con sẽ phải thưa lại thể nào. Vì chính Thầy sẽ ban cho các con miệng lưỡi và sự khôn ngoan, mọi kẻ thù nghịch các con không thể chống lại và bắt bẻ các con. Cha mẹ, anh em, bà con, bạn hữu sẽ nộp các con, và có kẻ trong các con sẽ bị giết chết. Các con sẽ bị mọi người ghét bỏ vì danh Thầy. Nhưng dù một sợi tóc trên đầu các con cũng sẽ chẳng hư mất. Các con cứ bền đỗ, các con sẽ giữ được linh hồn các con”.","end":"Ðó là lời Chúa"}}},
+        "5340": {"A":{"firstReading":{"excerpt":"Ed 34, 11-12. 15-17","info":"“Phần các ngươi là những đoàn chiên của Ta, Ta xét xử giữa chiên với chiên”.","title":"Trích sách Tiên tri Ê-dê-ki-en.","content":"Ðây Chúa là Thiên Chúa phán: “Này chính Ta săn sóc đoàn chiên của Ta và Ta sẽ kiểm soát chúng. Như một mục tử kiểm điểm đoàn chiên trong ngày chúng bị tản mát, thì Ta cũng kiểm điểm đoàn chiên Ta như vậy. Ta sẽ giải thoát chúng khỏi mọi nơi mà chúng đã bị phân tán, và trong ngày mây mù đen tối.\r“Chính Ta sẽ chăn dắt các chiên Ta, chính Ta sẽ cho chúng nằm nghỉ, Chúa là Thiên Chúa phán như thế. Ta sẽ tìm con chiên đã mất, sẽ đem con chiên lạc về, sẽ băng bó con chiên bị thương tích, sẽ lo chữa con chiên bị ốm đau, con nào mập béo, Ta sẽ chăm sóc, và sẽ chăn dắt nó trong sự công chính.\r“Còn các ngươi, hỡi chiên của Ta, Chúa là Thiên Chúa phán thế này: Này Ta sẽ phân xử giữa con này với con khác, giữa cừu đực với dê đực”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-2a. 2b-3. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi. Trên đồng cỏ xanh rì Người thả tôi nằm nghỉ.","Xướng: Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi, tâm hồn tôi, Người lo bồi dưỡng. Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người.","Xướng: Chúa dọn ra cho tôi mâm cỗ, ngay trước mặt những kẻ đối phương: đầu tôi thì Chúa xức dầu thơm, chén rượu tôi đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"secondReading":{"excerpt":"1 Cr 15, 20-26. 28","info":"“Người đã trao vương quốc lại cho Thiên Chúa Cha, để Thiên Chúa nên mọi sự trong mọi sự”.","title":"Trích thư thứ nhất của Thánh Phao-lô Tông đồ gửi tín hữu Cô-rin-tô.","content":"Anh em thân mến, Ðức Ki-tô đã từ cõi chết sống lại, là hoa quả đầu mùa của những kẻ yên giấc. Vậy sự chết bởi một người, thì sự kẻ chết sống lại cũng bởi một người. Cũng như mọi người đều phải chết nơi A-đam thế nào, thì mọi người cũng sẽ được tác sinh trong Ðức Ki-tô như vậy. Nhưng ai nấy đều theo thứ tự của mình, hoa quả đầu mùa là Ðức Ki-tô, đoạn đến những kẻ thuộc về Ðức Ki-tô, những kẻ đã tin Người xuống thế: rồi đến tận cùng khi Người đã trao vương quốc lại cho Thiên Chúa Cha, và đã tiêu diệt mọi đầu mục, quyền năng và thế lực.\rNhưng Người còn phải cai trị cho đến khi Người đặt mọi quân thù dưới chân Người. Kẻ thù cuối cùng sẽ bị tiêu diệt là sự chết. Khi mọi sự đã suy phục Người, bấy giờ chính Con cũng sẽ suy phục Ðấng đã bắt mọi sự suy phục mình, để Thiên Chúa nên mọi sự trong mọi sự.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mc 11, 10","content":"Alleluia, Alleluia – Chúc tụng Ðấng nhân danh Chúa mà đến: chúc tụng nước Ða-vít tổ phụ chúng ta đã đến. – Alleluia."},"gospel":{"excerpt":"Mt 25, 31-46","info":"“Người sẽ ngự trên ngai uy linh của Người, và sẽ phân chia họ ra”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Khi Con Người đến trong vinh quang, có hết thảy mọi thiên thần hầu cận, Người sẽ ngự trên ngai uy linh của Người. Muôn dân sẽ được tập họp lại trước mặt Người, và Người sẽ phân chia họ ra, như mục tử tách chiên ra khỏi dê. Chiên thì Người cho đứng bên phải, còn dê ở bên trái.\r“Bấy giờ Vua sẽ phán với những người bên hữu rằng: “Hãy đến, hỡi những kẻ Cha Ta chúc phúc, hãy lãnh lấy phần gia nghiệp là Nước Trời đã chuẩn bị cho các ngươi từ khi tạo dựng vũ trụ. Vì xưa Ta đói, các ngươi cho ăn; Ta khát, các ngươi đã cho uống; Ta là khách lạ, các ngươi đã tiếp rước; Ta mình trần, các ngươi đã cho mặc; Ta đau yếu các ngươi đã viếng thăm; Ta bị tù đày, các ngươi đã đến với Ta”.\r“Khi ấy người lành đáp lại rằng: “Lạy Chúa, có bao giờ chúng con thấy Chúa đói mà cho ăn, khát mà cho uống; có bao giờ chúng con thấy Chúa là lữ khách mà tiếp rước, mình trần mà cho mặc; có khi nào chúng con thấy Chúa yếu đau hay bị tù đày mà chúng con đến viếng Chúa đâu?” Vua đáp lại: “Quả thật, Ta bảo các ngươi: những gì các ngươi đã làm cho một trong các anh em bé mọn nhất của Ta đây là các ngươi đã làm cho chính Ta”.\r“Rồi Người cũng sẽ nói với những kẻ bên trái rằng: “Hỡi phường bị chúc dữ, hãy lui khỏi mặt Ta mà vào lửa muôn đời đã đốt sẵn cho ma quỷ và kẻ theo chúng. Vì xưa Ta đói, các ngươi không cho ăn; Ta khát, các ngươi không cho uống; Ta là khách lạ, các ngươi chẳng tiếp rước; Ta mình trần, các ngươi không cho đồ mặc; Ta đau yếu và ở tù, các ngươi đâu có viếng thăm Ta!”\r“Bấy giờ họ cũng đáp lại rằng: “Lạy Chúa có bao giờ chúng con đã thấy Chúa đói khát, khách lạ hay mình trần, yếu đau hay ở tù, mà chúng con chẳng giúp đỡ Chúa đâu?” Khi ấy Người đáp lại: “Ta bảo thật cho các ngươi biết: những gì các ngươi đã không làm cho một trong các anh em bé mọn nhất của Ta đây, là các ngươi đã không làm cho chính Ta”. Những kẻ ấy sẽ phải tống vào chốn cực hình muôn thuở, còn các người lành thì được vào cõi sống ngàn thu”.","end":"Ðó là lời Chúa"}},"B":{"firstReading":{"excerpt":"Ðn 7, 13-14","info":"“Quyền năng của Ngài là quyền năng vĩnh cửu”.","title":"Trích sách Tiên tri Ðaniel.","content":"Trong một thị kiến ban đêm, tôi đã ngắm nhìn, và đây tôi thấy như Con Người đến trong đám mây trên trời, Ngài tiến đến vị Bô Lão, và người ta dẫn Ngài đến trước mặt vị Bô Lão. Vị nầy ban cho Ngài quyền năng, vinh dự và vương quốc: tất cả các dân tộc, chi họ, và tiếng nói đều phụng sự Ngài; quyền năng của Ngài là quyền năng vĩnh cửu, không khi nào bị cất mất; vương quốc của Ngài không khi nào bị phá huỷ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","response":"Ðáp: Chúa làm vua, Ngài đã mặc thiên oai (c. 1a).","verses":["Xướng: Chúa làm vua, Ngài đã mặc thiên oai; Chúa đã vận uy quyền, Ngài đã thắt long đai.","Xướng: Và Ngài giữ vững địa cầu, nó sẽ không còn lung lay. Ngai báu của Ngài thiết lập từ muôn thuở, tự đời đời vẫn có Chúa.","Xướng: Lời chứng bảo của Ngài rất đáng tin, lạy Chúa, sự thánh thiện là của riêng nhà Ngài, cho tới muôn muôn ngàn thuở."]},"secondReading":{"excerpt":"Kh 1, 5-8","info":"“Người là thủ lãnh các vua trần thế: Người đã làm cho chúng ta nên vương quốc”.","title":"Trích sách Khải Huyền của Thánh Gioan Tông đồ.","content":"Nguyện chúc cho anh em được ân sủng và bình an của Chúa Giêsu Kitô, là chứng tá trung thành, là trưởng tử kẻ chết, là thủ lãnh các vua trần thế, là Ðấng đã yêu thương chúng ta, Người đã dùng máu Người mà rửa chúng ta sạch mọi tội lỗi, và đã làm cho chúng ta trở nên vương quốc và tư tế của Thiên Chúa, Cha của Người. Nguyện chúc Người được vinh quang và quyền lực muôn đời. Amen.\rKìa, Người đến trong đám mây, mọi con mắt đã nhìn thấy Người, và cả những kẻ đã đâm Người cũng nhìn thấy Người, các chủng tộc trên địa cầu sẽ than khóc Người. Thật như vậy. Amen.\rChúa là Thiên Chúa, Ðấng đang có, đã có, và sẽ đến, là Ðấng Toàn Năng phán: “Ta là Alpha và Ômêga, là nguyên thuỷ và là cứu cánh”.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mt 11, 10","content":"Alleluia, Alleluia – Chúc tụng Ðấng nhân danh Chúa mà đến: chúc tụng nước Ðavít tổ phụ chúng ta đã đến! – Alleluia."},"gospel":{"excerpt":"Ga 18, 33b-37","info":"“Quan nói đúng: Tôi là Vua”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Gioan.","content":"Khi ấy, Philatô hỏi Chúa Giêsu rằng: “Ông có phải là Vua dân Do-thái không?” Chúa Giêsu đáp: “Quan tự ý nói thế, hay là có người khác nói với quan về tôi?”\rPhilatô đáp: “Ta đâu phải là người Do-thái. Nhân dân ông cùng các thượng tế đã trao nộp ông cho ta. Ông đã làm gì?” Chúa Giêsu đáp: “Nước tôi không thuộc về thế gian này. Nếu nước tôi thuộc về thế gian này, thì những người của tôi đã chiến đấu để tôi không bị nộp cho người Do-thái, nhưng mà nước tôi không thuộc chốn này”.\rPhilatô hỏi lại: “Vậy ông là Vua ư?”\rChúa Giêsu đáp: “Quan nói đúng. Tôi là Vua. Tôi sinh ra và đến trong thế gian này là chỉ để làm chứng về Chân lý. Ai thuộc về Chân lý thì nghe tiếng Tôi”.","end":"Ðó là lời Chúa"}},"C":{"firstReading":{"excerpt":"2 Sm 5, 1-3","info":"“Họ xức dầu phong Ðavít làm vua Israel”.","title":"Trích sách Samuel quyển thứ hai.","content":"Trong những ngày ấy, toàn thể chi tộc Israel đến cùng Ðavít tại Hebron mà nói rằng: “Ðây chúng tôi là cốt nhục của ngài. Nhưng từ trước đến giờ, khi Saolê đang làm vua chúng tôi, thì chính ngài đã dẫn dắt Israel. Và Chúa đã nói với ngài rằng: ‘Chính ngươi sẽ chăn dắt Israel dân Ta, và sẽ trở nên thủ lãnh Israel'”.\rVậy tất cả các vị kỳ lão Israel đều đến tìm nhà vua tại Hebron, và tại đó, vua Ðavít ký kết với họ một giao ước trước mặt Chúa. Họ liền xức dầu phong Ðavít làm vua Israel.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa” (c. 1).","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”. Hỡi Giêrusalem, chân chúng tôi đang đứng nơi cửa thành rồi.","Xướng: Giêrusalem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc, các bộ lạc của Chúa tiến lên.","Xướng: Theo luật pháp của Israel, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ðavít."]},"secondReading":{"excerpt":"Cl 1, 12-20","info":"“Người đã đem chúng ta về Nước Con yêu dấu của Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, chúng ta hãy cảm tạ Chúa Cha, Ðấng đã làm cho anh em xứng đáng lãnh phần gia nghiệp các thánh trong ánh sáng. Chúa đã cứu chúng ta thoát khỏi quyền lực u tối, đem chúng ta về nước Con yêu dấu của Chúa, trong Người chúng ta được ơn cứu rỗi nhờ máu Người, và được ơn tha tôi.\rNgười là hình ảnh của Thiên Chúa vô hình, là trưởng tử mọi tạo vật; vì trong Người, muôn loài trên trời dưới đất đã được tác thành, mọi vật hữu hình và vô hình, dù là các Bệ thần hay Quản thần, dù là Chủ thần hay Quyền thần: Mọi vật đã được tạo thành nhờ Người và trong Người. Và Người có trước mọi loài, và mọi loài tồn tại trong Người.\rNgười là đầu thân thể tức là Hội thánh, là nguyên thuỷ và là trưởng tử giữa kẻ chết, để Người làm bá chủ mọi loài. Vì chưng Thiên Chúa đã muốn đặt tất cả viên mãn nơi Người, và Thiên Chúa đã giao hoà vạn vật nhờ Người và vì Người; nhờ máu Người đổ ra trên thập giá, Thiên Chúa ban hoà bình trên trời dưới đất.","end":"Ðó là lời Chúa"},"alleluia":{"verse":"Mc 11, 10","content":"Alleluia, Alleluia – Chúc tụng Ðấng nhân danh Chúa mà đến: chúc tụng nước Ðavid tổ phụ chúng ta đã đến. – Alleluia."},"gospel":{"excerpt":"Lc 23, 35-43","info":"“Lạy Ngài, khi nào về nước Ngài, xin nhớ đến tôi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, các thủ lãnh cùng với dân chúng cười nhạo Chúa Giêsu mà rằng: “Nó đã cứu được kẻ khác thì hãy tự cứu mình đi, nếu nó thật là Ðấng Kitô, người Thiên Chúa tuyển chọn”. Quân lính đều chế diễu Người và đưa dấm cho Người uống và nói: “Nếu ông là vua dân Do-thái, ông hãy tự cứu mình đi”. Phía trên đầu Người có tấm bảng đề chữ Hy-lạp, La-tinh và Do-thái như sau: “Người Này Là Vua Dân Do Thái”.\rMột trong hai kẻ trộm bị đóng đinh trên thập giá cũng sỉ nhục Người rằng: “Nếu ông là Ðấng Kitô, ông hãy tự cứu ông và cứu chúng tôi nữa”. Ðối lại, tên kia mắng nó rằng: “Mi cũng chịu đồng một án mà mi chẳng sợ Thiên Chúa sao? Phần chúng ta, như thế này là đích đáng, vì chúng ta chịu xứng với việc chúng ta đã làm, còn ông này, ông có làm gì xấu đâu?” Và anh ta thưa Chúa Giêsu rằng: “Lạy Ngài, khi nào về nước Ngài, xin nhớ đến tôi”. Chúa Giêsu đáp: “Ta bảo thật ngươi: ngay hôm nay, ngươi sẽ ở trên thiên đàng với Ta”.","end":"Ðó là lời Chúa"}}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year1-ordinary-1", {
+    "ORDINARY_Y1": {
+        "5011": {"firstReading":{"excerpt":"(Năm I) Dt 1, 1-6","info":"“Chúa đã phán dạy chúng ta qua Người Con”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Thuở xưa, nhiều lần và dưới nhiều hình thức, Thiên Chúa đã phán dạy cha ông chúng ta qua các tiên tri. Trong những ngày sau hết đây, Ngài đã phán dạy chúng ta qua Người Con mà Ngài đã đặt làm vị thừa kế vạn vật, và cũng do bởi Người Con mà Ngài đã tác thành vũ trụ. \r Nguyên vốn là phản ảnh sự vinh quang và là hình tượng bản thể Ngài, Người Con đó nâng giữ vạn vật bằng lời quyền năng của mình, quét sạch tội lỗi chúng ta, và ngự bên hữu Ðấng Oai Nghiêm, trên cõi trời cao thẳm. Tên Người cao trọng hơn các thiên thần bao nhiêu, thì Người cũng vượt trên các thiên thần bấy nhiêu. r Phải, vì có bao giờ Thiên Chúa đã phán bảo với một vị nào trong các thiên thần rằng: “Con là thái tử của Cha, hôm nay Cha đã sinh hạ Con”? Rồi Chúa lại phán: “Ta sẽ là Cha Người, và Người sẽ là Con Ta”. Và khi ban Con Một mình cho thế gian, Chúa lại phán rằng: “Tất cả các thiên thần Chúa hãy thờ lạy Người!”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1 và 2b. 6 và 7c. 9","response":"Ðáp: Chúa hiển trị, Chúa là Ðấng tối cao trên toàn cõi đất ","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan, hải đảo muôn ngàn, hãy mừng vui. Công minh chính trực là nền kê ngai báu. ","Xướng: Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người. Bao nhiêu chúa tể hãy cúc cung bái lạy Người. ","Xướng: Lạy Chúa, vì Ngài là Ðấng tối cao trên toàn cõi đất, Ngài rất đỗi siêu phàm giữa muôn chúa tể. "]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 1, 14-20","info":"“Anh em hãy ăn năn sám hối và tin vào Tin Mừng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Sau khi Gio-an bị bắt, Chúa Giê-su sang xứ Ga-li-lê-a, rao giảng Tin Mừng của nước Thiên Chúa, Người nói: “Thời giờ đã mãn và nước Thiên Chúa đã gần đến; anh em hãy ăn năn sám hối và tin vào Tin Mừng”.\r Ðang lúc đi dọc theo bờ biển Ga-li-lê-a, Người thấy Si-mon và em là An-rê đang thả lưới xuống biển, vì các ông là những người đánh cá. Chúa Giê-su bảo các ông: “Hãy theo Ta, Ta sẽ làm cho các ngươi trở thành những kẻ chài lưới người”. Lập tức bỏ lưới, các ông theo Người. Ði xa hơn một chút nữa, Người thấy Gia-cô-bê con ông Giê-bê-đê và em là Gio-an đang xếp lưới trong thuyền, Người liền gọi các ông. Hai ông bỏ cha là Giê-bê-đê ở lại trên thuyền cùng với các người làm công, và đi theo Người.","end":"Ðó là lời Chúa"}},
+        "5012": {"firstReading":{"excerpt":"(Năm I) Dt 2, 5-12","info":"“Ðấng ban ơn cứu độ phải chịu khổ nạn để nên hoàn hảo”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Thiên Chúa đã không đặt dưới quyền các thiên thần vũ trụ tương lai mà chúng tôi đang nói đến. Nhưng có người đã minh chứng trong một đoạn sách kia rằng: “Nhân loại là gì mà Chúa nhớ đến, con người là gì mà Chúa đến viếng thăm? Trong một thời gian, Chúa đã hạ Người xuống kém các thiên thần; Chúa lại đặt trên đầu Người triều thiên vinh quang và danh dự; Chúa đã đặt Người cai trị các công trình tay Chúa tác thành; và bắt vạn vật quy phục dưới chân Người. Vì khi Ngài bắt vạn vật quy phục Người, Ngài không trừ ra vật nào khỏi phục tùng Người. Hiện nay chúng ta chưa thấy mọi sự phục quyền Người. Nhưng Ðấng trong một thời gian bị hạ xuống kém các Thiên thần, là Ðức Giê-su, chúng ta thấy Người được triều thiên vinh quang và danh dự vì cuộc tử nạn của Người, để nhờ ơn Thiên Chúa, Người chịu chết thay cho mọi người. Quả vậy, thật là thích hợp việc Chúa là nguyên nhân và cùng đích mọi vật, đã dẫn đưa nhiều con cái đến vinh quang và đã lấy cuộc khổ nạn mà làm cho Ðấng đem lại ơn cứu rỗi được hoàn hảo. Vì chưng, Ðấng thánh hóa và những người được thánh hoá, tất cả đều do một nguồn gốc. Vì thế, Người không hổ thẹn gọi họ là anh em mà rằng: “Tôi sẽ cao rao danh Chúa cho anh em tôi; tôi sẽ ngợi khen Người giữa cộng đoàn”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 8, 2a và 5. 6-7. 8-9.","response":"Ðáp: Chúa ban cho Con Chúa quyền hành trên công cuộc tay Ngài sáng tạo (c. 7).","verses":["Xướng: Lạy Chúa, lạy Chúa chúng con, nhân loại là chi mà Chúa nhớ tới? con người là chi mà Chúa để ý chăm nom?","Xướng: Chúa dựng nên con người kém thiên thần một chút, Chúa trang sức con người bằng danh dự với vinh quang, Chúa ban cho quyền hành trên công cuộc tay Ngài sáng tạo, Chúa đặt muôn vật dưới chân con người.","Xướng: Nào chiên, nào bò, thôi thì tất cả, cho tới những muông thú ở đồng hoang, chim trời với cá đại dương, những gì lội khắp nẻo đường biển khơi."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mc 1, 21-28","info":"“Ngài giảng dạy người ta như Ðấng có uy quyền”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Mác-cô.","content":"(Ðến thành Ca-phác-na-um), ngày nghỉ lễ, Chúa Giê-su vào giảng dạy trong hội đường. Người ta kinh ngạc về giáo lý của Người, vì Người giảng dạy người ta như Ðấng có uy quyền, chứ không như các luật sĩ.\rÐang lúc đó, trong hội đường có một người bị thần ô uế ám, nên thét lên rằng: “Hỡi Giê-su Na-da-rét, có chuyện gì giữa chúng tôi và ông? Ông đến để tiêu diệt chúng tôi sao? Tôi biết ông là ai: là Ðấng Thánh của Thiên Chúa”. Chúa Giê-su quát bảo nó rằng: “Hãy im đi, và ra khỏi người này!” Thần ô uế liền dằn vật người ấy, thét lên một tiếng lớn, rồi xuất khỏi người ấy. Mọi người kinh ngạc hỏi nhau rằng: “Cái chi vậy? Ðây là một giáo lý mới ư? Người dùng uy quyền mà truyền lệnh cho cả các thần ô uế, và chúng vâng lệnh Người”. Danh tiếng Người liền đồn ra khắp mọi nơi, và lan tràn khắp vùng lân cận xứ Ga-li-lê-a.","end":"Ðó là lời Chúa"}},
+        "5013": {"firstReading":{"excerpt":"(năm I) Dt 2, 14-18","info":"“Người phải nên giống anh em mình mọi đàng”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Vì các con trẻ cùng chung thân phận máu thịt, chính Chúa Giê-su cũng giống như chúng, cũng thông phần điều đó, để nhờ cái chết của Người, mà Người huỷ diệt kẻ thống trị sự chết là ma quỷ, và để giải thoát tất cả những kẻ sợ chết mà làm nô lệ suốt đời. Vì chưng, Người không đến cứu giúp các thiên thần, nhưng đến cứu giúp con cái Áp-ra-ham. Bởi thế, Người nên giống anh em mình mọi đàng, ngõ hầu trong khi phụng sự Chúa, Người trở thành đại giáo trưởng nhân lành và trung tín với Chúa, để đền tội cho dân. Quả thật, bởi chính Người đã chịu khổ hình và chịu thử thách, nên Người có thể cứu giúp những ai sống trong thử thách.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7. 8-9.","response":"Ðáp: Tới muôn đời Chúa vẫn nhớ lời minh ước (c. 8a).","verses":["Xướng: Hãy ca tụng Chúa, hãy hoan hô danh Người, hãy kể ra sự nghiệp Chúa ở giữa chư dân. Hãy xướng ca, đàn hát mừng Người, hãy tường thuật mọi điều kỳ diệu của Chúa.","Xướng: Hãy tự hào vì danh thánh của Người, tâm hồn những ai tìm Chúa, hãy mừng vui. Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn.","Xướng: Hỡi miêu duệ Áp-ra-ham là tôi tớ của Ngài, hỡi con cháu Gia-cóp, những kẻ được Ngài kén chọn. Chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Ngài bao trùm khắp cả địa cầu.","Xướng: Tới muôn đời Ngài vẫn nhớ lời minh ước, lời hứa mà Ngài đã an bài tới muôn thế hệ, lời minh ước Ngài đã ký cùng Áp-ra-ham, lời thề hứa Ngài đã thề với I-sa-ác."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 1, 29-39","info":"“Ngài chữa nhiều người đau ốm những chứng bệnh khác nhau”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy Chúa Giê-su ra khỏi hội đường. Người cùng với Gia-cô-bê và Gio-an đến nhà Si-mon và An-rê. Lúc ấy bà nhạc gia của Si-mon cảm sốt nằm trên giường, lập tức người ta nói cho Người biết bệnh tình của bà. Tiến lại gần, Người cầm tay bà, và nâng đỡ dậy. Bà liền khỏi cảm sốt và đi tiếp đãi các Ngài.\rChiều đến, lúc mặt trời đã lặn, người ta dẫn đến Người tất cả những bệnh nhân, tất cả những người bị quỷ ám; và cả thành tụ họp trước cửa nhà. Người chữa nhiều người đau ốm những chứng bệnh khác nhau, xua trừ nhiều quỷ, và không cho chúng nói, vì chúng biết Người. Sáng sớm tinh sương, Người chỗi dậy, ra khỏi nhà, đi đến một nơi thanh vắng và cầu nguyện tại đó. Si-mon và các bạn chạy đi tìm Người. Khi tìm được Người, các ông nói cùng Người rằng: “Mọi người đều đi tìm Thầy”. Nhưng Người đáp: “Chúng ta hãy đi đến những làng, những thành lân cận, để Ta cũng rao giảng ở đó nữa”. Và Người đi rao giảng trong các hội đường, trong khắp xứ Ga-li-lê-a và xua trừ ma quỷ.","end":"Ðó là lời Chúa"}},
+        "5014": {"firstReading":{"excerpt":"(năm I) Dt 3, 7-14","info":"“Chúng ta hãy khuyên bảo nhau cho đến bao lâu còn nói được là Hôm Nay”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, như Thánh Thần phán rằng: “Hôm nay nếu các ngươi nghe tiếng Chúa, các ngươi đừng cứng lòng như thời chống đối, như ngày thử thách trong sa mạc, nơi cha ông các ngươi đã thách thức Ta, dù đã chứng nhận và thấy các việc Ta làm trong bốn mươi năm; vì thế Ta đã phẫn nộ với thế hệ đó và phán rằng: Tâm hồn chúng luôn luôn lầm lạc, chúng không nhận biết đường lối của Ta, nên Ta đã thề trong cơn thịnh nộ rằng: Chúng sẽ không được vào nơi an nghỉ của Ta”.\rAnh em thân mến, anh em hãy coi chừng, kẻo có ai trong anh em thiếu lòng tin, lìa xa Thiên Chúa hằng sống. Mỗi ngày anh em hãy khuyên bảo nhau cho đến bao lâu còn nói được là “Hôm Nay”, để không ai trong anh em bị tội lỗi mê hoặc trở nên chai đá. Vì chúng ta được đồng phần cùng Ðức Kitô, nếu chúng ta giữ vững lòng tin thuở ban đầu cho đến cùng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 6-7. 8-9. 10-11.","response":"Ðáp: Ước chi hôm nay các ngươi nghe tiếng Ta: các ngươi đừng cứng lòng (c. 8).","verses":["Xướng: Hãy tiến lên, cúc cung bái và sụp lạy, hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: Ðừng cứng lòng như ở Mê-ri-ba, như hôm ở Ma-sa, trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta, họ đã thử Ta mặc dầu đã thấy công cuộc của Ta.","Xướng: Ròng rã bốn chục năm, dòng giống này thực Ta đã ngán, khiến Ta thốt ra: dân lạc tâm địa chính thị bọn này, và bọn này không hiểu biết đường lối của Ta. Bởi thế, Ta đã thề trong cơn thịnh nộ: không khi nào chúng sẽ vào chốn nghỉ an Ta!","Ðáp Ca: Tv 43, 10-11. 14-15. 24-25","Ðáp: Lạy Chúa, xin cứu chúng con theo lòng từ bi của Chúa","Xướng: Nay Chúa đã xua đuổi và để chúng con đầy nhuốc hổ, Chúa không xuất trận với quân đội chúng con. Chúa đã bắt chúng con phải tháo lui trước quân thù, và những kẻ thù ghét chúng con tha hồ cướp của.","Xướng: Nay Chúa đã xua đuổi và để chúng con đầy nhuốc hổ, Chúa không xuất báng chê cười. Bị các quốc gia tha hồ chế nhạo, và bị các dân tộc trông thấy lắc đầu.","Xướng: Nay Chúa đã xua đuổi và để chúng con đầy nhuốc hổ, Chúa không xuất xua đuổi chúng con muôn đời. Sao Chúa lại ẩn giấu thiên nhan, Chúa quên lãng cảnh chúng con chịu thống khổ và áp bức?"]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 1, 40-45","info":"“Bệnh cùi biến mất và người ấy được sạch”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, có một người bệnh cùi đến van xin Chúa Giê-su và quỳ xuống thưa Người rằng: “Nếu Ngài muốn, Ngài có thể khiến tôi nên sạch”. Ðộng lòng thương, Chúa Giê-su giơ tay đặt trên người ấy và nói: “Ta muốn, anh hãy khỏi bệnh”. Tức thì bệnh cùi biến mất và người ấy được sạch. Nhưng Người nghiêm nghị bảo anh đi ngay và dặn rằng: “Anh hãy ý tứ đừng nói gì cho ai biết, một hãy đi trình diện cùng trưởng tế và dâng của lễ theo luật Mô-sê, để minh chứng mình đã được khỏi bệnh”. Nhưng đi khỏi, người ấy liền cao rao và loan truyền tin đó, nên Chúa Giê-su không thể công khai vào thành nào được. Người dừng lại ở ngoài thành, trong những nơi vắng vẻ, và người ta từ khắp nơi tuôn đến cùng Người.","end":"Ðó là lời Chúa"}},
+        "5015": {"firstReading":{"excerpt":"(năm I) Dt 4, 1-5. 11","info":"“Chúng ta hãy mau mau tiến vào nơi an nghỉ đó”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, chúng ta hãy lo sợ kẻo đang khi lời hứa được vào trong sự an nghỉ của Chúa còn có giá trị mà có người trong anh em tưởng mình không được hưởng. Quả thật, chúng ta đã nhận lãnh tin mừng như họ; nhưng lời họ đã nghe không sinh ích gì cho họ, bởi họ không lấy đức tin mà thông hiệp với những kẻ đã tin. Chúng ta là những kẻ đã tin; chúng ta đang đi vào nơi an nghỉ, như lời Người phán rằng: “Như Ta đã thề trong cơn thịnh nộ, chúng sẽ không được vào nơi an nghỉ của Ta”. Dầu vậy, các công trình của Người đã được hoàn tất từ tạo thiên lập địa. Vì chưng, có câu nói về ngày thứ bảy rằng: “Và ngày thứ bảy, Thiên Chúa đã nghỉ mọi việc”. Lại có câu khác rằng: “Không, chúng nó sẽ chẳng vào nơi an nghỉ của Ta”. Vậy chúng ta hãy mau mau tiến vào nơi an nghỉ đó, để không ai sa ngã mà nên gương bất trung.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 77, 3 và 4bc. 6c-7. 8","response":"Ðáp: Chúng tôi sẽ không quên lãng những kỳ công của Chúa (c. 7c).","verses":["Xướng: Ðiều mà chúng tôi đã nghe, đã biết, mà tổ tiên đã thuật lại cho chúng tôi hay, chúng tôi sẽ kể lại cho thế hệ tương lai, đó là những lời khen ngợi và quyền năng của Chúa.","Xướng: Ðể họ đứng ra và thuật lại cho con cái họ, hầu cho chúng đặt niềm hy vọng nơi Thiên Chúa, và không quên lãng những kỳ công của Người, những giới răn của Người chúng sẽ tuân theo.","Xướng: Và chúng đừng trở nên như tổ tiên chúng, một thế hệ khó dạy và lăng loàn, một thế hệ không có lòng ngay thẳng, và không có tâm hồn trung kiên cùng Thiên Chúa."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 2, 1-12","info":"“Con Người có quyền tha tội dưới đất”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Sau ít ngày, Chúa Giê-su lại trở về Ca-phác-na-um; nghe tin Người đang ở trong nhà, nhiều người tuôn đến đông đảo, đến nỗi ngoài cửa cũng không còn chỗ đứng, và Người giảng dạy họ. Người ta mang đến cho Người một kẻ bất toại do bốn người khiêng. Vì dân chúng quá đông, không thể khiêng đến gần Người được, nên họ dỡ mái nhà trên chỗ Người ngồi một lỗ to, rồi thòng chiếc chõng với người bất toại xuống. Thấy lòng tin của họ, Chúa Giê-su nói với người bất toại rằng: “Hỡi con, tội lỗi con được tha”. Lúc ấy, có một ít luật sĩ ngồi đó, họ thầm nghĩ rằng: “Sao ông này lại nói thế? Ông nói phạm thượng. Ai có quyền tha tội, nếu không phải là một mình Thiên Chúa”. Chúa Giê-su biết tâm trí họ nghĩ như vậy, liền nói với họ: “Tại sao các ông nghĩ như thế? Nói với người bất toại này: “Tội lỗi con được tha” hay nói: “Hãy chỗi dậy vác chõng mà đi”, đàng nào dễ hơn? Nhưng (nói thế là) để các ông biết Con Người có quyền tha tội dưới đất”. – Người nói với kẻ bất toại: “Ta truyền cho con hãy chỗi dậy, vác chõng mà về nhà”. Lập tức người ấy đứng dậy, vác chõng ra đi trước mặt mọi người, khiến ai nấy sửng sốt và ngợi khen Thiên Chúa rằng: “Chúng tôi chưa từng thấy như thế bao giờ”.","end":"Ðó là lời Chúa"}},
+        "5016": {"firstReading":{"excerpt":"(năm I) Dt 4, 12-16","info":"“Chúng ta hãy giữ vững việc tuyên xưng đức tin của chúng ta”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, lời Thiên Chúa là lời hằng sống, linh nghiệm, sắc bén hơn mọi thứ gươm hai lưỡi, thấu suốt đến nỗi phân rẽ linh hồn với thần trí, gân cốt với tuỷ não, phân tách tình cảm với ý nghĩ của tâm hồn. Không một tạo vật nào ẩn khuất được trước mặt Chúa; tất cả mọi sự đều phải phơi trần và tỏ ra trước mắt của Ðấng mà ta phải trả lẽ.\rVậy chúng ta có một Thượng tế cao cả đã đi qua các tầng trời, là Ðức Giê-su, Con Thiên Chúa, nên chúng ta hãy giữ vững việc tuyên xưng đức tin của chúng ta. Vì chưng, không phải chúng ta có Thượng tế không thể thông cảm sự yếu đuối của chúng ta, trái lại, Người đã từng chịu thử thách bằng mọi cách như chúng ta, ngoại trừ tội lỗi. Nên chúng ta hãy tin tưởng chạy đến toà ơn Chúa, để nhờ Chúa thương đến, chúng ta được ơn Chúa tuỳ thời cơ thuận tiện.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8 . 9. 10. 15","response":"Ðáp: Lạy Chúa, lời Chúa là thần trí và là sự sống (Ga 6, 64b).","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chánh trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thật, công minh hết thảy. .","Xướng: Xin Chúa nhậm những lời miệng con công bố, và sự lòng con suy gẫm trước thiên nhan, lạy Chúa là Ðá Tảng, là Ðấng Cứu Chuộc con."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 2, 13-17","info":"“Ta không đến để kêu gọi những người công chính, mà kêu gọi những người tội lỗi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy Chúa Giê-su đi dọc theo bờ biển, toàn dân đến cùng Người và Người giảng dạy họ. Khi vừa đi qua, Người thấy ông Lê-vi con của An-phê, đang ngồi nơi bàn thu thuế. Người bảo ông: “Hãy theo Ta”. Ông liền đứng dậy theo Người. Và xảy ra là khi Người dùng bữa tại nhà ông, nhiều người thu thuế và tội lỗi cùng đồng bàn với Chúa Giê-su và các môn đệ của Người, vì đã có nhiều kẻ theo Người. Những luật sĩ và biệt phái thấy Người ngồi ăn uống với những người thu thuế và tội lỗi, liền nói với các môn đệ Người rằng: “Tại sao thầy các ông lại ăn uống với những người thu thuế và tội lỗi?” Nghe vậy, Chúa Giê-su bảo họ: “Những người khoẻ mạnh không cần gì đến thầy thuốc, nhưng là những người đau yếu. Ta không đến để kêu gọi những người công chính, mà kêu gọi những người tội lỗi”.","end":"Ðó là lời Chúa"}},
+        "5021": {"firstReading":{"excerpt":"(năm I) Dt 5, 1-10","info":"“Dầu là Con Thiên Chúa, Người đã học vâng phục do những đau khổ Người chịu”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Tất cả các vị Thượng tế được chọn giữa loài người, nên được đặt lên thay cho loài người mà lo việc Chúa, để hiến dâng lễ vật và hy lễ đền tội. Người có thể thông cảm với những kẻ mê muội và lầm lạc, vì chính người cũng mắc phải yếu đuối tư bề. Vì thế cũng như người phải dâng lễ đền tội thay cho dân thế nào, thì người dâng lễ đền tội cho chính mình như vậy. Không ai được chiếm vinh dự đó, nhưng phải là người được Thiên Chúa kêu gọi, như A-a-ron. Cũng thế, Ðức Ki-tô không tự dành lấy quyền làm thượng tế, nhưng là Ðấng đã nói với Người rằng: “Con là Con Cha, hôm nay Cha sinh ra Con”. Cũng có nơi khác Ngài phán: “Con là Tư tế đến muôn đời theo phẩm hàm Men-ki-xê-đê”. Khi còn sống ở đời này, Chúa Kitô đã lớn tiếng và rơi lệ dâng lời cầu xin khẩn nguyện lên Ðấng có thể cứu Mình khỏi chết, và vì lòng thành kính, Người đã được nhậm lời. Dầu là Con Thiên Chúa, Người đã học vâng phục do những đau khổ Người chịu, và khi hoàn tất, Người đã trở nên căn nguyên ơn cứu độ đời đời cho tất cả những kẻ tùng phục Người. Người được Thiên Chúa gọi là Thượng tế theo phẩm hàm Men-ki-xê-đê.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 109, 1. 2. 3. 4.","response":"Ðáp: Con là Thượng tế tới muôn đời theo phẩm hàm Men-ki-xê-đê (c. 4bc).","verses":["Xướng: Thiên Chúa đã tuyên bố cùng Chúa tôi rằng: “Con hãy ngồi bên hữu Ta, cho tới khi Ta bắt quân thù làm bệ kê dưới chân Con”.","Xướng: Ðức Thiên Chúa từ Si-on sẽ phô bày vương trượng quyền bính của Ngài, rằng: “Con hãy thống trị giữa quân thù”.","Xướng: Các thủ lãnh cùng hiện diện bên Con, ngày Con giáng sinh trong thánh thiện huy hoàng: trước rạng đông, tựa hồ sương sa, Ta đã sinh hạ ra Con”.","Xướng: Ðức Thiên Chúa đã thề và không hối hận rằng: “Con là Thượng tế tới muôn đời theo phẩm hàm Men-ki-xê-đê”. ."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 2, 18-22","info":"“Tân lang còn ở với họ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, môn đồ của Gio-an và các người biệt phái ăn chay, họ đến nói với Chúa Giê-su rằng: “Tại sao môn đồ của Gio-an và các người biệt phái ăn chay, còn môn đồ Ngài lại không ăn chay?” Chúa Giê-su nói với họ: “Các khách dự tiệc cưới có thể ăn chay khi tân lang còn ở với họ không? Bao lâu tân lang còn ở với họ, thì họ không thể ăn chay được. Nhưng sẽ đến ngày tân lang bị đem đi, bấy giờ họ sẽ ăn chay. Không ai lấy vải mới mà vá áo cũ, chẳng vậy, miếng vải vá sẽ rút lại mà kéo áo cũ, và chỗ rách lại tệ hơn. Cũng không ai đổ rượu mới vào bầu da cũ, chẳng vậy, rượu sẽ làm vỡ bầu da, và rượu đổ, bầu da hư. Nhưng rượu mới phải để trong bầu da mới”.","end":"Ðó là lời Chúa"}},
+        "5022": {"firstReading":{"excerpt":"(năm I) Dt 6, 10-20","info":"“Chúng ta có một niềm tin đặt trước mặt như chiếc neo chắc chắn và bền vững”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, Thiên Chúa không bất công đến nỗi quên công trình của anh em và lòng bác ái anh em đã tỏ ra vì danh Người, anh em là những người đã phục vụ và hiện đang phục vụ các thánh. Chúng tôi mong ước mỗi người anh em thi thố cũng một lòng hăng hái đó để giữ vững niềm hy vọng đến cùng, ngõ hầu anh em không trễ nải, nhưng sẽ noi gương những kẻ nhờ tin tưởng và kiên nhẫn mà hưởng thụ các điều đã hứa.\rQuả thật, khi Thiên Chúa hứa cùng Áp-ra-ham, Người không dựa vào ai lớn hơn mà thề, nhưng dựa vào chính Mình mà thề rằng: “Ta sẽ chúc phúc cho ngươi và sẽ cho ngươi sinh sản ra nhiều”. Do đó, Áp-ra-ham kiên nhẫn chờ đợi, nên được hưởng lời hứa. Vì chưng, loài người dựa vào kẻ lớn hơn mình mà thề, và lời thề được coi như bảo chứng chấm dứt mọi tranh tụng. Cũng vậy, vì Thiên Chúa muốn minh chứng cho những kẻ hưởng thụ lời hứa ý định bất di bất dịch của Người, nên đã làm lời thề, để nhờ hai điều bất di bất dịch mà Thiên Chúa không thể sai lời, thì chúng ta là những người tìm ẩn náu nơi niềm hy vọng đã ban cho chúng ta, chúng ta có một nguồn yên ủi chắc chắn. Trong niềm hy vọng đó, linh hồn chúng ta có một chiếc neo chắc chắn và bền vững, cắm vào tận bên trong bức màn, nơi Ðức Giê-su đã vào như vị tiền phong của chúng ta, Người được phong làm Thượng tế đến muôn đời theo phẩm hàm Men-ki-xê-đê.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 4-5. 9 và 10c","response":"Ðáp: Cho tới muôn đời Chúa vẫn nhớ lời minh ước (c. 5b). Hoặc đọc: Alleluia.","verses":["Xướng: Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi.","Xướng: Chúa đã làm những điều lạ lùng đáng nhớ, Người thật là Ðấng nhân hậu từ bi. Chúa đã ban lương thực cho những ai tôn sợ Người, cho tới muôn đời Người vẫn nhớ lời minh ước.","Xướng: Chúa đã gởi tặng ơn giải phóng cho dân Người, đã thiết lập lời minh ước tới muôn đời, danh Người thực là thánh thiện và khả uý. Lời khen ngợi Chúa còn tồn tại đến muôn đời."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mc 2, 23-28","info":"“Ngày Sa-bát làm ra vì loài người, chứ không phải loài người vì ngày Sa-bát”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Vào một ngày Sa-bát, Chúa Giê-su đi qua đồng lúa, môn đệ Người vừa đi vừa bứt lúa. Tức thì những người biệt phái thưa Người rằng: “Kìa Thầy xem. Tại sao ngày Sa-bát người ta làm điều không được phép như vậy?” Người trả lời rằng: “Các ông chưa bao giờ đọc thấy điều mà Ða-vít đã làm khi ngài và các cận vệ phải túng cực và bị đói ư? Người đã vào nhà Chúa thời thượng tế A-bi-a-ta thế nào, và đã ăn bánh dâng trên bàn thờ mà chỉ mình thượng tế được ăn, và đã cho cả các cận vệ cùng ăn thế nào?” Và Người bảo họ rằng: “Ngày Sa-bát làm ra vì loài người, chứ không phải loài người vì ngày Sa-bát; cho nên Con Người cũng làm chủ cả ngày Sa-bát”.","end":"Ðó là lời Chúa"}},
+        "5023": {"firstReading":{"excerpt":"(Năm I) Dt 7, 1-3. 15-17","info":"“Ngươi là tư tế theo phẩm hàm Men-ki-xê-đê tới muôn đời”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, Men-ki-xê-đê này là vua Sa-lem, tư tế của Thiên Chúa Tối Cao, ông đã đi đón Áp-ra-ham đang trên đường về sau khi đánh bại các vua, ông chúc lành cho Áp-ra-ham. Và Áp-ra-ham dâng cho ông một phần mười các chiến lợi phẩm. Giải nghĩa tên ông, trước tiên thấy tên ông mang tên vua công chính, rồi ông lại còn là vua Sa-lem, nghĩa là vua hòa bình. Ông không cha không mẹ, không gia phả, không ngày sinh, không ngày tử, nhưng ông được so sánh với Con Thiên Chúa, nên ông làm tư tế muôn đời.\rViệc còn hiển nhiên hơn nữa, nếu một tư tế khác được thiết lập theo phẩm hàm Men-ki-xê-đê, không phải chiếu theo luật xác thịt quy định, nhưng chiếu theo quyền năng của sự sống bất diệt. Vì đã chứng thực về ngài rằng: “Ngươi là tư tế theo phẩm hàm Men-ki-xê-đê tới muôn đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 109, 1. 2. 3. 4","response":"Ðáp: Con là Thượng tế tới muôn đời theo phẩm hàm Men-ki-xê-đê (c. 4bc).","verses":["Xướng: Thiên Chúa đã tuyên bố cùng Chúa tôi rằng: “Con hãy ngồi bên hữu Ta, cho tới khi Ta bắt quân thù làm bệ kê dưới chân Con”.","Xướng: Ðức Thiên Chúa từ Si-on sẽ phô bày vương trượng quyền bính của Ngài, rằng: “Con hãy thống trị giữa quân thù”.","Xướng: Các thủ lãnh cùng hiện diện bên Con, ngày Con giáng sinh trong thánh thiện huy hoàng: “Trước rạng đông, tựa hồ sương sa, Ta đã sinh hạ ra Con”.","Xướng: Ðức Thiên Chúa đã thề và không hối hận rằng: “Con là Thượng tế tới muôn đời theo phẩm hàm Men-ki-xê-đê."]},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"alleluia! – Lạy Chúa, lời của Chúa là thần trí và là sự sống. Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 3, 1-6","info":"“Trong ngày Sa-bát được cứu sống hay là giết chết?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su lại vào hội đường và ở đó có một người khô bại một tay. Người ta để ý quan sát xem Chúa có chữa bệnh trong ngày Sa-bát không, để tố cáo Người. Chúa bảo người có tay khô bại rằng: “Ngươi hãy đứng ra giữa đây”. Rồi Người bảo họ: “Trong ngày Sa-bát được làm sự lành hay sự dữ? Ðược cứu sống hay là giết chết?” Nhưng họ thinh lặng. Bấy giờ Người thịnh nộ đưa mắt nhìn họ và buồn phiền vì lòng họ chai đá, Người bảo bệnh nhân rằng: “Hãy giơ tay ra”. Người đó giơ tay ra và tay anh ta được lành. Lập tức, những người biệt phái đi ra bàn tính với những kẻ thuộc phái Hê-rô-đê chống đối Người và tìm cách hại Người.","end":"Ðó là lời Chúa"}},
+        "5024": {"firstReading":{"excerpt":"(năm I) Dt 7, 25 – 8, 6","info":"“Người chỉ dâng của lễ một lần khi hiến dâng chính Mình”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, Chúa Giê-su có thể cứu độ cách vĩnh viễn những ai nhờ Người mà đến với Thiên Chúa, vì Người hằng sống để chuyển cầu cho chúng ta.\rPhải, vì chúng ta cần một vị Thượng tế thánh thiện, vô tội, tinh tuyền, tách biệt khỏi kẻ tội lỗi và đã được nâng cao trên các tầng trời. Người không cần phải như các tư tế hằng ngày dâng của lễ, trước là đền tội lỗi mình, sau là đền tội lỗi dân chúng, vì Người làm việc ấy chỉ có một lần khi hiến dâng chính Mình. Vì Lề luật thì đặt những người yếu đuối làm tư tế, còn lời thề có sau Lề luật, thì đặt Người Con hoàn hảo làm thượng tế đến muôn đời.\rÐiểm chính yếu về các điều đang đề cập đến là: chúng ta có một Thượng tế như thế ngự bên hữu Ðấng Tối Cao trên trời, với tư cách là chủ tế trong đền thờ, và trong nhà tạm chân thật mà Chúa – chứ không phải người phàm – đã dựng nên. Quả thật, mọi thượng tế được đặt lên là để hiến dâng lễ vật và hy tế, vì thế, vị thượng tế này cần phải có gì để hiến dâng. Vậy nếu Người còn ở trần gian, thì Người cũng không phải là tư tế, vì đã có những người phụ trách hiến dâng của lễ theo lề luật. Việc phượng tự mà họ làm chỉ là hình bóng những thực tại trên trời, như lời đã phán cùng Mô-sê khi ông sắp dựng nhà tạm rằng: Chúa phán: “Ngươi hãy xem, ngươi sẽ làm mọi sự theo mẫu Ta đã chỉ cho ngươi trên núi”. Hiện giờ vị Thượng tế của chúng ta đã lãnh một chức vụ cao trọng hơn, bởi vì Người là Ðấng trung gian của một giao ước tốt hơn, mà giao ước ấy được thiết lập trên những lời hứa rất tốt lành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 17","response":"Ðáp: Lạy Chúa, này con xin đến, để thực thi ý Chúa (c. 8a và 9a).","verses":["Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở rộng tai con. Chúa không đòi hỏi lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong quyển vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong Ðại hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi.","Xướng: Hãy mừng vui hoan hỉ trong Chúa, bao nhiêu kẻ tìm Chúa, và luôn luôn nói: Chúa thực là cao cả! bao nhiêu kẻ mong ơn phù trợ của Ngài."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mc 3, 7-12","info":"“Các thần ô uế vừa thấy Người, liền sụp lạy và kêu lên rằng: “Ngài là Con Thiên Chúa”, nhưng Người nghiêm cấm chúng không được tiết lộ gì về Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su cùng các môn đệ lui về bờ biển, đám đông từ Ga-li-lê-a theo Người, và từ Giu-đê-a, Giê-ru-sa-lem, I-đu-mê, bên kia sông Gio-đan, miền Ty-rô và Si-đôn, nhiều kẻ đến cùng Người, khi nghe biết tất cả những việc Người đã làm. Vì đông dân chúng, nên Người bảo các môn đệ liệu cho Người một chiếc thuyền, kẻo họ chen lấn Người. Vì chưng, Người đã chữa lành nhiều bệnh nhân, nên bất cứ ai mắc bệnh tật gì đều đến gần để động đến Người. Và những thần ô uế vừa thấy Người, liền sụp lạy và kêu lên rằng: “Ngài là Con Thiên Chúa”, nhưng Người nghiêm cấm chúng không được tiết lộ gì về Người.","end":"Ðó là lời Chúa"}},
+        "5025": {"firstReading":{"excerpt":"(năm I) Dt 8, 6-13","info":"“Người là trung gian của một giao ước tốt hơn”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, hiện giờ vị Thượng tế của chúng ta đã lãnh một chức vụ cao trọng hơn, bởi vì Người là Ðấng trung gian của một giao ước tốt hơn, mà giao ước ấy được thiết lập trên những lời hứa rất tốt lành. Vì nếu giao ước thứ nhất không khuyết điểm, thì thật sự không cần phải có giao ước thứ hai nữa. Vì Chúa khiển trách họ rằng: “Này đến ngày Ta thực hiện một giao ước mới cho nhà Ít-ra-en và cho nhà Giu-đa. Không phải như giao ước Ta ký kết với cha ông chúng trong ngày Ta cầm tay chúng dẫn ra khỏi đất Ai-cập. Bởi chúng không trung thành với giao ước Ta, nên Ta đã bỏ chúng. Vì chưng, giao ước Ta sẽ ký kết với nhà Ít-ra-en sau những ngày ấy, Ta sẽ đặt các lề luật của Ta trong trí chúng, và khắc nó vào lòng chúng. Ta sẽ là Thiên Chúa của chúng, và chúng sẽ là dân Ta. Không còn ai phải dạy bạn hữu mình, hay mỗi người không còn phải bảo anh em mình rằng: “Hãy nhìn biết Chúa”, vì mọi người, từ người nhỏ đến người lớn, sẽ biết Ta; bởi Ta dung thứ các điều gian ác của chúng, và không còn nhớ đến tội lỗi của chúng nữa”. Người tuyên bố giao ước mới, thì Người làm cho giao ước thứ nhất ra cũ đi. Nhưng điều gì đã cũ đã già, thì gần tiêu mất đi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 8 và 10. 11-12. 13-14.","response":"Ðáp: Lòng nhân hậu và trung thành gặp gỡ nhau (c. 11a).","verses":["Xướng: Lạy Chúa, xin cho chúng con nhìn thấy tình thương của Chúa, và ban cho chúng con được ơn Ngài cứu độ. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng con.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Người."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mc 3, 13-19","info":"“Người gọi những kẻ Người muốn gọi để họ ở cùng Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su lên núi và gọi những kẻ Người muốn gọi, và họ đến cùng Người. Người chọn mười hai vị để theo Người, và sai các ông đi giảng và ban cho các ông quyền trừ quỷ. Mười hai vị ấy là: Si-mon mà Người đặt tên là Phê-rô, Gia-cô-bê con ông Giê-bê-đê, và Gio-an là em Gia-cô-bê, (cả hai được Người đặt tên là Bô-a-nê-gê, nghĩa là con của sấm sét), rồi đến An-rê, Phi-líp-phê, Ba-tô-lô-mê-ô, Mát-thêu, Tô-ma, Gia-cô-bê con ông An-phê, Ta-đê-ô, Si-mon nhiệt tâm, và Giu-đa Ít-ca-ri-ô là kẻ nộp Người.","end":"Ðó là lời Chúa"}},
+        "5026": {"firstReading":{"excerpt":"(năm I) Dt 9, 2-3, 11-14","info":"“Nhờ chính máu Mình mà Người vào Cung Thánh chỉ một lần”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, nhà tạm được cất lên trong gian thứ nhất, có đặt chân nến, bàn, và bánh tiến. Gian này gọi là Cung Thánh. Sau tấm màn thứ hai thì đến gian gọi là Cực Thánh.\rCòn Chúa Ki-tô xuất hiện như vị Thượng tế của mọi tốt lành tương lai. Người đi qua nhà tạm rộng rãi và hoàn hảo hơn, không phải do tay người phàm xây dựng, nghĩa là không thuộc về trần gian này, cũng không nhờ máu dê bò, nhưng nhờ chính máu của Người mà vào Cung Thánh chỉ một lần và đem lại ơn cứu độ muôn đời. Vì nếu máu dê bò và tro bò cái mà người ta rảy trên kẻ ô uế, còn thánh hoá được thân xác nên trong sạch, huống chi máu của Ðức Ki-tô, Ðấng đã nhờ Thánh Thần mà hiến tế chính mình làm của lễ trong sạch dâng lên Thiên Chúa; máu đó sẽ càng tẩy sạch lương tâm chúng ta khỏi những việc sinh sự chết, khiến chúng ta có thể phụng sự Thiên Chúa hằng sống.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 46, 2-3. 6-7. 8-9","response":"Ðáp: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang (c. 6).","verses":["Xướng: Hết thảy chư dân hãy vỗ tay, hãy reo mừng Thiên Chúa tiếng reo vui! Vì Chúa là Ðấng Tối Cao, Khả uý, Người là Ðại Ðế trên khắp trần gian.","Xướng: Thiên Chúa ngự lên giữa tiếng tưng bừng, Chúa ngự lên trong tiếng kèn vang. Hãy ca mừng, ca mừng Thiên Chúa, hãy ca mừng, ca mừng Vua của chúng ta!","Xướng: Vì Thiên Chúa là vua khắp cõi trần gian, hãy xướng ca vịnh mừng Người, Thiên Chúa thống trị trên các nước, Thiên Chúa ngự trên ngai thánh của Người."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 3, 20-21","info":"“Những thân nhân của Người nói: Người đã mất trí”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy Chúa Giê-su cùng các môn đệ trở về nhà, và dân chúng đông đảo lại đổ xô tới, đến nỗi Người không dùng bữa được. Những thân nhân của Người hay tin đó, liền đi bắt Người, vì họ nói: “Người đã mất trí”.","end":"Ðó là lời Chúa"}},
+        "5031": {"firstReading":{"excerpt":"(Năm I) Dt 9, 15. 24-28","info":"“Người chỉ tế lễ chính mình một lần để huỷ diệt tội lỗi, Người sẽ xuất hiện lần thứ hai để cứu độ những ai trông đợi Người”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, Chúa Ki-tô là trung gian của Tân Ước, vì nhờ sự chết của Người để cứu chuộc các tội phạm dưới thời Cựu Ước, mà những kẻ được kêu gọi, đến lãnh lấy gia nghiệp đời đời đã hứa cho họ. Ðức Giê-su không tiến vào cung thánh do tay người phàm làm ra, chỉ là hình bóng cung thánh thật, nhưng Người vào chính thiên đàng, để từ đây xuất hiện trước tôn nhan Thiên Chúa vì chúng ta. Người không còn hiến dâng chính mình nhiều lần, như vị thượng tế vào cung thánh mỗi năm một lần với máu không phải của mình. Chẳng vậy, từ tạo thiên lập địa, Người đã phải chết nhiều lần: nhưng từ nay cho đến tận thế, Người chỉ xuất hiện một lần tế lễ chính mình để huỷ diệt tội lỗi. Như đã quy định, người ta chỉ chết một lần thế nào, sau đó là phán xét, thì Ðức Ki-tô cũng tế hiến một lần như vậy, để xoá tội lỗi của nhiều người. Người sẽ xuất hiện lần thứ hai, không phải để chuộc tội, nhưng để cứu độ những ai trông đợi Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6.","response":"Ðáp: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu (c. 1a).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng:Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân Người tỏ rõ đức công minh, Người đã nhớ lại lòng nhân hậu và trung thành, để sủng ái nhà Ít-ra-en.","Xướng: Khắp nơi bờ cõi địa cầu, đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca.","Xướng: Hãy ca mừng Chúa với cây đàn cầm, với cây đàn cầm với điệu nhạc du dương, cùng với tiếng kèn râm ran, tiếng tù và rúc, hãy hoan hô trước thiên nhan Chúa là vua."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu thương người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mc 3, 22-30","info":"“Satan phải diệt vong”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, những luật sĩ từ Giê-ru-sa-lem xuống nói rằng: “Ông ấy bị quỷ Bê-en-dê-bun ám”, và nói thêm rằng: “Chính nhờ tướng quỷ mà ông ấy trừ quỷ”. Khi đã gọi họ lại, Chúa Giê-su phán bằng dụ ngôn rằng: “Xa-tan lại trừ Xa-tan làm sao được? Nếu một nước mà tự chia rẽ nhau, thì nước đó tồn tại làm sao được? Vậy nếu Xa-tan dấy lên chống đối với chính mình và tự phân tán, thì nó không thể đứng vững được mà phải diệt vong. Chẳng ai có thể vào nhà một người khoẻ mạnh và cướp của y, nếu không trói được y trước đã, rồi sau mới cướp phá nhà y. Quả thật, Ta bảo các ông hay, mọi tội lỗi và mọi lời phạm thượng của con cái loài người sẽ được tha hết, nhưng kẻ nào nói phạm đến Chúa Thánh Thần, sẽ muôn đời không bao giờ được tha: nó mắc tội muôn đời”. Ðó là vì họ nói “Người bị thần ô uế ám”.","end":"Ðó là lời Chúa"}},
+        "5032": {"firstReading":{"excerpt":"(năm I) Dt 10, 1-10","info":"“Lạy Chúa, này tôi đến để làm theo thánh ý Chúa”","title":"Bài trích thơ gửi tín hữu Do thái.","content":"Anh em thân mến, lề luật là bóng dáng của những việc tốt lành tương lai, chớ không phải chính hình ảnh chân chính của sự thật.\rLề luật ấy với những hy tế được hiến dâng liên tiếp hằng năm không bao giờ có thể làm cho những kẻ đến tham dự được hoàn hảo.\rChẳng vậy, người ta sẽ chấm dứt việc tế lễ, vì lẽ những người làm việc phượng tự này, đã được tẩy sạch một lần rồi, nên không còn ý thức mình có tội nữa.\rNgược lại, các lễ tế hằng năm nhắc nhở người ta nhớ đến tội lỗi.\rBởi chưng máu bò dê không thể xóa bỏ tội lỗi.\rVì thế, khi đến trong thế gian, Chúa Giê-su phán: “Chúa đã không muốn của hy tế và của lễ hiến dâng, nhưng đã tạo nên cho tôi một thể xác.\rChúa không nhận của lễ toàn thiêu và của lễ đền tội.\rNên tôi nói: Lạy Chúa, nầy tôi đến để thi hành thánh ý Chúa, như đã nói về tôi ở đoạn đầu cuốn sách.\rSách ấy bắt đầu như thế này: Của lễ hy tế, của lễ hiến dâng, của lễ toàn thiêu và của lễ đền tội, Chúa không muốn cũng không nhận, mặc dầu được hiến dâng theo lề luật”.\rÐoạn Người nói tiếp: “Lạy Chúa, nầy đây tôi đến để thi hành thánh ý Chúa”.\rNhư thế đã bãi bỏ điều trước để thiết lập điều sau, chính bởi thánh ý đó mà chúng ta được thánh hóa nhờ việc hiến dâng Mình Chúa Giêsu Kitô một lần là đủ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 39,2 và 4ab, 7-8a, 7-9, 10, 11","response":"Ðáp: Lạy Chúa, nầy tôi xin đến, để thực thi ý Chúa. (8a và 9a)","verses":["Xướng: Tôi đã cậy trông, tôi đã cậy trông ở Chúa, Ngài đã nghiêng mình về bên tôi, và Ngài đã nghe tiếng tôi kêu cầu. Ngài đã đặt trong miệng tôi một bài ca mới, bài ca mừng Thiên Chúa chúng ta.","Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở tai tôi. Chúa không đòi hỏi hy lễ toàn thiêu và đền tội, bấy giờ tôi đã thưa: “Nầy tôi xin đến”.","Xướng: Như trong cuốn sách đã chép về tôi: lạy Chúa, tôi sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận lòng tôi.","Xướng: Tôi đã loan truyền đức công minh Chúa trong Ðại Hội, thực tôi đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi.","Xướng: Tôi chẳng có che đậy đức công minh Chúa trong lòng tôi: tôi đã kể ra lòng trung thành với ơn phù trợ Chúa, tôi đã không giấu giếm gì với Ðại Hội về ân sủng và lòng trung thành của Chúa."]},"alleluia":{"verse":"Ga 15,15b","content":"Alleluia. – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Mc 3, 31-35","info":"“Ai làm theo ý Thiên Chúa, thì người ấy là anh chị em và là mẹ Ta”.","title":"Bài trích Phúc Âm theo Thánh Mác-cô.","content":"Khi ấy, mẹ Chúa Giê-su và anh em Người đến và đứng ở ngoài sai người vào mời Chúa ra.\rBấy giờ có đám đông ngồi chung quanh Người và họ trình với Người rằng: “Kìa mẹ và anh em Thầy ở ngoài kia đang tìm Thầy”.\rNgười trả lời rằng: “Ai là mẹ Ta? Ai là anh em Ta?”\rRồi đưa mắt nhìn những người ngồi vòng quanh, Người nói: “Ðây là mẹ Ta và anh em Ta. Vì ai làm theo ý Thiên Chúa, thì người ấy là anh chị em và là mẹ Ta”.","end":"Ðó là lời Chúa"}},
+        "5033": {"firstReading":{"excerpt":"(Năm I) Dt 10, 11-18","info":"“Người đã làm cho những kẻ được thánh hóa nên hoàn hảo đến muôn đời”","title":"Bài trích thơ gởi tín hữu Do thái.","content":"Trong khi mọi tư tế hằng ngày đứng gần bàn thờ chu toàn chức vụ mình và hiến dâng cũng những ngần ấy của lễ nhiều lần, nhưng không bao giờ xóa được tội lỗi, còn Người khi dâng xong của lễ duy nhất đền tội, đã ngự bên hữu Thiên Chúa đến muôn đời, và từ đây, Người chờ đợi cho đến khi thù địch bị đặt làm bệ dưới chân Người.\rVì chưng, nhờ việc hiến dâng duy nhất mà Người đã làm cho những kẻ được thánh hóa nên hoàn hảo đến muôn đời.\rVả chính Thánh Thần cũng đã minh chứng cho chúng ta như thế.\rVì sau khi Chúa đã phán: “Này là giao ước Ta sẽ ký kết với chúng sau những ngày ấy”, thì Người còn thêm: “Ta sẽ đặt lề luật Ta trong lòng chúng, và khắc nó vào tâm trí chúng; ta sẽ không còn nhớ đến những tội lỗi và sự gian ác của chúng nữa”.\rVậy nơi nào tội lỗi được thứ tha, thì không còn việc dâng của lễ đền tội nữa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 88, 4-5, 27-28, 29-30","response":"Ðáp: Ðời đời Ta sẽ dành cho người lòng sủng ái. (29)","verses":["Xướng: Ta sẽ ký minh ước cùng người Ta tuyển lựa. Ta đã thề cùng Ða-vít là tôi tớ Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha tôi, là Thiên Chúa và Ðá Tảng cứu độ của tôi”. và Ta sẽ đặt người làm trưởng tử, cao sang hơn các vua chúa ở trần gian.","Xướng: Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời Ta ký với người sẽ được mãi mãi duy trì. Ta sẽ gìn giữ miêu duệ người muôn đời, và ngai báu người như những ngày của cõi cao xanh."]},"alleluia":{"verse":"1Sam 3,9","content":"Alleluia. – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 4,1-20","info":"“Người gieo hạt đi gieo hạt giống”","title":"Tin mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su bắt đầu giảng dạy ở bờ biển và có đám đông dân chúng tụ lại gần Người, nên Người xuống ngồi trong một chiếc thuyền trên mặt biển, tất cả đám đông thì ở trên đất theo dọc bờ biển.\rNgười dùng dụ ngôn mà dạy họ nhiều điều, và khi giảng, Người nói với họ rằng:\r“Các ngươi hãy nghe! Này người gieo hạt đi gieo hạt giống.\rKhi gieo, một phần hạt rơi xuống vệ đường và chim trời đến ăn hết.\rPhần khác rơi trên đất sỏi, nơi không có nhiều đất.\rHạt giống đã mọc lên ngay, vì lớp đất không sâu.\rNhưng khi mặt trời mọc lên, hạt giống bị nắng đốt và vì không rễ, nên bị chết khô.\rMột phần khác rơi vào bụi gai và gai mọc lên làm hạt giống chết mà không sinh hoa trái được.\rPhần hạt khác rơi vào đất tốt, mọc lên, nẩy nở và sinh quả, hạt thì sinh được ba mươi, hạt được sáu mươi, hạt được một trăm”.\rVà Người phán rằng: “Ai có tai nghe thì hãy nghe”.\rKhi Người còn lại một mình, thì mười hai ông là những kẻ luôn ở với Người, hỏi Người về ý nghĩa dụ ngôn, Người liền bảo các ông:\r“Các con được ơn biết mầu nhiệm về nước Thiên Chúa, còn những người khác ở ngoài thì mọi sự được giảng dạy bằng dụ ngôn, vì chúng nhìn mà không thấy, nghe mà không hiểu, kẻo chúng trở lại mà được tha tội”.\rNgười nói với các ông:\r“Các con không hiểu dụ ngôn đó sao? Vậy thì hiểu sao được tất cả những dụ ngôn khác?\rNgười gieo hạt là gieo lời Chúa.\rVệ đường mà lời Chúa được gieo vào, là những kẻ vừa nghe xong, thì Sa-tan đến và cất lấy lời Chúa gieo trong tâm hồn họ.\rVà cũng thế, những hạt giống rơi trên đất sỏi, là những kẻ khi nghe lời Chúa thì đón nhận vui vẻ, nhưng chúng không đâm rễ bên trong và là những người hay thay đổi: sau đó gặp phải cơ cực hay bắt bớ vì lời Chúa, thì họ sa ngã liền.\rLại có những hạt giống rơi trong bụi gai.\rÐây là những kẻ nghe lời Chúa, nhưng những lo lắng trần tục, bóp nghẹt lời Chúa, khiến không thể sinh hoa trái được.\rCòn những hạt giống gieo trong đất tốt: đó là những người nghe lời Chúa, biết giữ lấy và làm sinh lợi, hạt ba mươi, hạt sáu mươi và hạt một trăm”.","end":"Ðó là lời Chúa"}},
+        "5034": {"firstReading":{"excerpt":"(Năm I) Dt 10, 19-25","info":"“Chúng ta hãy kiên trì tuyên xưng niềm hy vọng của chúng ta, và hãy thúc giục nhau thực thi bác ái”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, nhờ máu Chúa Giê-su, chúng ta tin tưởng bước vào cung thánh. Ðó là con đường mới và sống động mà Người đã mở cho chúng ta, xuyên qua tấm màn là thân xác Người; và ban cho chúng ta có một thượng tế cai quản nhà Thiên Chúa. Chúng ta hãy tiến đến với lòng chân thành, đầy đức tin, lòng được trong sạch khỏi lương tâm gian ác, và thân xác được tắm gội bằng nước trong sạch. Chúng ta hãy kiên trì tuyên xưng niềm hy vọng của chúng ta, vì Ðấng đã hứa là Ðấng trung tín. Chúng ta hãy thúc giục nhau thực thi bác ái và làm việc thiện. Ðừng trốn tránh những buổi hội chung như ít người có thói quen, nhưng anh em hãy khích lệ nhau, nhất là khi thấy ngày đó gần đến.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6.","response":"Ðáp: Lạy Chúa, đó là dòng dõi người tìm kiếm Chúa (c. 6).","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Ngài xây dựng nó trên biển cả, và Ngài giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Ngài? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Gia-cóp."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa, và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mc 4, 21-25","info":"“Ðèn đốt lên là để đặt trên giá đèn. Các ngươi đong đấu nào, thì người ta sẽ đong đấu ấy cho các ngươi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng rằng: “Có ai đem đèn sáng đặt trong thùng hay dưới gầm giường chăng? Chẳng phải là để đặt trên giá đèn sao? Vì chẳng có gì giấu kín mà chẳng tố lộ ra và chẳng có gì kín đáo mà không bị đưa ra ánh sáng. Ai có tai để nghe, thì hãy nghe”. Và Người bảo họ rằng: “Hãy coi chừng điều các ngươi nghe thấy. Các ngươi đong bằng đấu nào, thì người ta sẽ đong lại cho các ngươi bằng đấu ấy, và người ta còn thêm nữa. Vì ai có, sẽ được cho thêm; và ai không có, cả cái đang có cũng bị lấy mất”.","end":"Ðó là lời Chúa"}},
+        "5035": {"firstReading":{"excerpt":"(Năm I) Dt 10, 32-39","info":"“Anh em đừng mất lòng kiên nhẫn”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, anh em hãy nhớ lại những ngày trước, khi anh em vừa lãnh nhận ánh sáng, anh em đã đương đầu với bao nhiêu trận đau khổ lớn lao. Khi thì anh em bị công khai sỉ nhục và hoạn nạn, khi thì anh em phải liên đới với những kẻ chịu những sự đối xử như thế. Vì chưng, anh em đã cùng chịu số phận của những tù nhân, anh em đã vui mừng chấp nhận người ta tước đoạt của cải, vì anh em biết rằng mình có của cải tốt hơn và bền vững. Vậy anh em đừng bỏ mất lòng tin tưởng của anh em, đáng được thưởng công bội hậu. Anh em cần phải kiên nhẫn, để khi làm tròn thánh ý Chúa, anh em được lãnh nhận điều Chúa hứa. Vì chỉ còn một thời gian rất ngắn nữa thôi, Ðấng phải đến sẽ đến, và Người sẽ không trì hoãn. “Còn kẻ công chính của Ta thì sống theo đức tin. Nhưng nếu người đó tháo lui, thì sẽ không làm đẹp lòng Ta”. Còn chúng ta, chúng ta không thuộc hạng người tháo lui mà hư mất, nhưng chúng ta là con cái đức tin để cứu thoát linh hồn chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 36, 3-4. 5-6. 23-24. 39-40","response":"Ðáp: Người hiền được Chúa ban ơn cứu độ (c. 39a).","verses":["Xướng: Hãy trông cậy Chúa và hãy làm lành, để được cư ngụ trong đất nước, thọ hưởng an ninh. Hãy hân hoan tin tưởng vào Chúa, Người sẽ ban cho sự lòng bạn thỉnh cầu.","Xướng: Bạn hãy phó thác đường lối mình cho Chúa, hãy trông cậy vào Người và để chính Người hành động, Người sẽ làm cho chính nghĩa bạn sáng như bình minh, và quyền lợi bạn tỏ như giờ ngọ.","Xướng: Nhờ ơn Chúa mà hiền nhân vững bước, và Người yểm hộ đường lối họ đi. Dầu có ngã, họ sẽ không nằm gục, vì Chúa sẽ nâng đỡ tay họ.","Xướng: Người hiền được Chúa ban ơn cứu độ, trong cơn khốn khó, Người là chỗ họ dung thân. Chúa bang trợ và giải thoát họ, Người giải thoát và cứu họ khỏi lũ ác nhân, vì họ đã nương tựa vào Người."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 4, 26-34","info":"“Người kia đã gieo hạt xuống đất, rồi đi ngủ, hạt giống mọc lên thế nào người đó cũng không hay biết”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng rằng: “Nước Thiên Chúa giống như người kia đã gieo hạt xuống đất: người đó ngủ hay thức, đêm hay ngày, hạt giống cứ đâm mầm và mọc lên thế nào người đó cũng không hay biết nữa. Ðất tự nó làm cây lúa mọc lên: trước hết thành cây, rồi đâm bông, rồi kết hạt. Và khi lúa chín, người ấy liền gặt vì đã đến mùa”.\rNgười còn phán: “Chúng ta sẽ lấy gì mà hình dung nước Thiên Chúa? hay dùng dụ ngôn nào mà so sánh nước đó được? Nước đó giống như hạt cải, khi gieo xuống đất thì nhỏ bé nhất trong tất cả các hạt trên mặt đất. Nhưng khi gieo rồi, nó mọc lên thành cây rau lớn nhất, và đâm những cành to, đến nỗi chim trời có thể tới núp bóng được”. Người dùng nhiều dụ ngôn như thế mà rao giảng lời Chúa cho họ, tuỳ sức họ có thể hiểu được, và Người chỉ nói với họ bằng dụ ngôn, nhưng khi ở riêng với các môn đệ, Người giải thích tất cả cho các ông.","end":"Ðó là lời Chúa"}},
+        "5036": {"firstReading":{"excerpt":"(năm I) Dt 11, 1-2. 8-19","info":"“Ông mong đợi thành trì có nền móng mà Thiên Chúa là kiến trúc sư và là Ðấng Sáng Lập”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, đức tin là cốt yếu những thực tại người ta mong đợi, là bằng chứng điều bí ẩn. Vì nhờ đức tin mà các tiền nhân đã nhận được bằng chứng tốt. Nhờ đức tin, Áp-ra-ham đáp lại tiếng Chúa gọi, để ra đi đến xứ ông sẽ được lãnh làm gia nghiệp, và ông ra đi mà không biết mình đi đâu. Nhờ đức tin, ông đến cư ngụ trong đất Chúa hứa, như trong đất khách quê người, sống trong lều trại, cũng như I-sa-ác, và Gia-cóp, những kẻ đồng thừa tự cùng một lời hứa. Vì chưng, ông mong đợi thành trì có nền móng mà Thiên Chúa là kiến trúc sư và là Ðấng sáng lập. Nhờ đức tin mà ngay cả bà Sa-ra son sẻ được sức mang thai, mặc dầu bà đã già, bởi vì bà tin rằng Ðấng đã hứa sẽ trung tín giữ lời. Vì thế, do tự một người, mặc dầu người đó như chết rồi, mà có một dòng dõi đông đúc vô số như sao trên trời và như cát bãi biển.\rChính trong đức tin mà tất cả những kẻ ấy đã chết trước khi nhận lãnh điều đã hứa, nhưng được nhìn thấy và đón chào từ đàng xa, đồng thời thú nhận rằng mình là lữ khách trên mặt đất. Những ai nói những lời như thế, chứng tỏ rằng mình đang đi tìm quê hương. Giá như họ còn nhớ đến quê hương dưới đất mà họ đã lìa bỏ, chắc họ có đủ thời giờ trở về. Nhưng hiện giờ họ ước mong một quê hương hoàn hảo hơn, tức là quê trời. Vì thế, Thiên Chúa không ngại để họ gọi mình là Thiên Chúa của họ, vì Người đã dọn sẵn cho họ một thành trì. Nhờ đức tin, khi bị thử lòng, Áp-ra-ham đã dâng I-sa-ác. Ông hiến dâng con một mình, ông là người nhận lãnh lời hứa, là người đã được phán bảo lời này: “Chính nơi I-sa-ác mà có một dòng dõi mang tên ngươi”. Vì ông nghĩ rằng Thiên Chúa có quyền làm cho kẻ chết sống lại, do đó, ông đã đón nhận con ông như một hình ảnh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1, 69-70. 71-72. 73-75","response":"Ðáp: Chúc tụng Chúa là Thiên Chúa của Ít-ra-en, vì Chúa đã viếng thăm và cứu chuộc dân Ngài (c. 68a).","verses":["Xướng: Chúa đã gầy dựng cho chúng tôi một uy quyền cứu độ, trong nhà Ða-vít là tôi tớ Chúa. Như Ngài đã phán qua miệng các thánh nhân từ ngàn xưa, là tiên tri của Chúa.","Xướng: Ðể giải phóng chúng tôi khỏi quân thù, và khỏi tay những người ghen ghét chúng tôi. Ðể tỏ lòng từ bi với tổ tiên chúng tôi, và nhớ lại lời thánh ước của Ngài.","Xướng: Lời minh ước mà Ngài tuyên thệ, với Áp-ra-ham tổ phụ chúng tôi, rằng Ngài cho chúng tôi được khỏi sợ hãi, sau khi thoát khỏi tay quân thù. Phục vụ Ngài trong thánh thiện và công chính, trước tôn nhan Ngài, trọn đời sống chúng tôi."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 4, 35-41","info":"“Người là ai mà cả gió lẫn biển cũng đều vâng lệnh Người?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Ngày ấy, khi chiều đến, Chúa Giê-su phán cùng các môn đệ rằng: “Chúng ta hãy sang bên kia biển hồ”. Các ông giải tán đám đông; vì Người đang ở dưới thuyền, nên các ông chở Người đi. Cũng có nhiều thuyền khác theo Người. Chợt có một cơn bão lớn và những lớp sóng ùa vào thuyền đến nỗi sắp đầy nước. Và Người thì ở đàng lái dựa gối mà ngủ. Các ông đánh thức Người và nói: “Thưa Thầy, chúng con chết mất mà Thầy không quan tâm đến sao?” Chỗi dậy, Người đe gió và phán với biển rằng: “Hãy im đi, hãy lặng đi”. Tức thì gió ngừng biển lặng như tờ. Rồi Người nói với các ông: “Sao các con sợ hãi thế? Các con không có đức tin ư?” Bấy giờ các ông kinh hãi và nói với nhau rằng: “Người là ai mà cả gió lẫn biển cũng đều vâng lệnh Người?”","end":"Ðó là lời Chúa"}},
+        "5041": {"firstReading":{"excerpt":"(Năm I) Dt 11, 32-40","info":"“Nhờ đức tin, họ chiến thắng các vương quốc. Thiên Chúa dự liệu cho chúng ta một cái gì tốt hơn”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, tôi còn phải nói gì nữa? Tôi không có đủ thời giờ thuật lại về Gê-đê-on, Ba-rac, Sam-son, Giép-tê, Ða-vít, Sa-mu-en và các tiên tri. Nhờ đức tin, họ chiến thắng các vương quốc, thực thi công bình, được hưởng lời hứa, bịt miệng sư tử, dập tắt hỏa hào, thoát khỏi lưỡi gươm, chế ngự bệnh tật, hùng dũng trong trận chiến; đánh đuổi các đạo quân ngoại bang, làm cho những người chết sống lại để trao trả cho các phụ nữ của họ. Có những người đành chịu hành hạ, mà không muốn được giải thoát, hy vọng được phục sinh hoàn hảo hơn. Lại có những người đành chịu nhục nhã, đòn vọt, kể cả xiềng xích và tù ngục. Họ bị ném đá, cưa xẻ, thử thách, bị giết bằng gươm. Họ mặc áo da cừu da dê, lưu lạc khắp nơi, thiếu thốn mọi điều, bị áp bức, ngược đãi. Thế gian chẳng xứng với họ. Họ lang thang trong hoang địa, trên núi non, trong hang đá, dưới hầm đất. Và tất cả họ đều nhờ bằng chứng đức tin mà lãnh nhận lời hứa tốt lành, thế mà họ chưa được lãnh nhận điều đã hứa, là vì Thiên Chúa đã dự liệu cho chúng ta một cái gì tốt hơn, kẻo họ đạt đến hoàn hảo mà không có chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 20. 21. 22. 23. 24.","response":"Ðáp: Lòng chư vị hãy can trường mạnh bạo, hết thảy chư vị là người cậy trông ở Chúa (c. 25).","verses":["Xướng: Lạy Chúa, vĩ đại thay lòng nhân hậu Chúa, lòng nhân hậu Ngài dành để cho những kẻ kính sợ Ngài, lòng nhân hậu Ngài ban cho những ai tìm nương tựa Ngài, ngay trước mặt con cái người ta.","Xướng: Chúa che chở họ dưới bóng long nhan Ngài cho khỏi người ta âm mưu làm hại. Chúa giấu họ trong lều trại của Ngài, cho khỏi miệng lưỡi người đời tranh luận.","Xướng: Chúc tụng Chúa, vì Ngài đã tỏ lòng nhân hậu với con, trong nơi thành trì kiên cố.","Xướng: Phần con, trong lúc gian truân, con đã nói: “Con bị loại ra khỏi long nhan Ngài rồi”. Nhưng Chúa đã nghe lời con khẩn nguyện, khi con lên tiếng kêu cầu tới Chúa.","Xướng: Chư vị thánh nhân của Chúa, hãy mến yêu Ngài, Ngài gìn giữ những kẻ trung thành. Nhưng Ngài trả miếng thực là đầy đủ cho những ai sử sự kiêu căng."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 5, 1-20","info":"“Hỡi thần ô uế, hãy ra khỏi người này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ sang bờ biển bên kia, đến địa hạt Giêrasa. Chúa Giêsu vừa ở thuyền lên, thì một người bị quỷ ô uế ám từ các mồ mả ra gặp Người. Người đó vẫn ở trong các mồ mả mà không ai có thể trói nổi, dù dùng cả đến dây xích, vì nhiều lần người ta đã trói anh ta, gông cùm xiềng xích lại, nhưng anh ta đã bẻ gãy xiềng xích, phá gông cùm, và không ai có thể trị nổi anh ta. Suốt ngày đêm anh ta ở trong mồ mả và trong núi, kêu la và lấy đá rạch mình mẩy. Thấy Chúa Giêsu ở đàng xa, anh ta chạy đến sụp lạy Người và kêu lớn tiếng rằng: “Hỡi ông Giêsu, Con Thiên Chúa Tối Cao, ông với tôi có liên hệ gì đâu? Vì danh Thiên Chúa, tôi van ông, xin chớ hành hạ tôi”. Nhưng Chúa Giêsu bảo nó rằng: “Hỡi thần ô uế, hãy ra khỏi người này”. Và Người hỏi nó: “Tên ngươi là gì?” Nó thưa: “Tên tôi là cơ binh, vì chúng tôi đông lắm”. Và nó nài xin Người đừng trục xuất nó ra khỏi miền ấy.\rGần đó, có một đàn heo đông đảo đang ăn trên núi, những thần ô uế liền xin Chúa Giêsu rằng: “Hãy cho chúng tôi đến nhập vào đàn heo”. Và Chúa Giêsu liền cho phép. Các thần ô uế liền xuất ra và nhập vào đàn heo, rồi cả đàn chừng hai ngàn con lao mình xuống biển và chết đuối. Những kẻ chăn heo chạy trốn và loan tin đó trong thành phố và các trại. Người ta liền đến xem việc gì vừa xảy ra. Họ tới bên Chúa Giêsu, nhìn thấy kẻ trước kia bị quỷ ám ngồi đó, mặc quần áo và trí khôn tỉnh táo, và họ kinh hoảng. Những người đã được chứng kiến thuật lại cho họ nghe mọi sự đã xảy ra như thế nào đối với người bị quỷ ám và đàn heo. Họ liền xin Chúa Giêsu rời khỏi ranh giới họ. Khi Người xuống thuyền, kẻ trước kia bị quỷ ám xin theo Người. Nhưng người không cho mà rằng: “Con hãy về nhà với thân quyến, và loan truyền cho họ biết những gì Thiên Chúa đã làm cho con và đã thương con”. Người đó liền đi và bắt đầu tuyên xưng trong miền thập tỉnh, tất cả những gì Chúa Giêsu đã làm cho anh ta, và mọi người đều thán phục.","end":"Ðó là lời Chúa"}},
+        "5042": {"firstReading":{"excerpt":"(Năm I) Dt 12, 1-4","info":"“Chúng ta hãy kiên quyết xông ra chiến trận đang chờ đợi ta”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Anh em thân mến, cả chúng ta, chúng ta cũng có một đoàn thể chứng nhân đông đảo như đám mây bao quanh, chúng ta hãy trút bỏ tất cả những gì làm cho chúng ta nặng nề và tội lỗi bao quanh chúng ta. Chúng ta hãy kiên quyết xông ra chiến trận đang chờ đợi ta. Chúng ta hãy nhìn thẳng vào Ðức Giê-su, Ðấng khơi nguồn đức tin và làm cho nó nên hoàn tất; vì trông mong niềm vui đang chờ đón mình, Người đã chịu khổ giá, bất chấp sự hổ thẹn, và rồi lên ngự bên hữu ngai Thiên Chúa. Anh em hãy tưởng nghĩ đến Ðấng đã liều thân chịu cuộc tấn công dữ dội của những người tội lỗi vào chính con người của Ngài, ngõ hầu anh em khỏi mỏi mệt mà thất vọng. Vì chưng, trong khi chiến đầu với tội lỗi, anh em chưa đến nỗi phải đổ máu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 21, 26b-27. 28 và 30. 31-32","response":"Ðáp: Lạy Chúa, những kẻ tìm kiếm Chúa sẽ ca khen Chúa (c. 27b).","verses":["Xướng: Tôi sẽ làm trọn những lời khấn hứa của tôi, trước mặt những người tôn sợ Chúa. Bạn cơ bần sẽ ăn và được no nê, những kẻ tìm kiếm Chúa sẽ ca khen Chúa: “Tâm hồn các bạn hãy vui sống tới muôn đời”.","Xướng: Thiên hạ sẽ ghi lòng và trở về với Chúa, khắp cùng bờ cõi địa cầu; và toàn thể bá tánh chư dân sẽ phủ phục trước thiên nhan Chúa. Bao người ngủ trong lòng đất sẽ tôn thờ duy một Chúa, bao kẻ nằm xuống bụi tro sẽ sấp mình trước thiên nhan. Và linh hồn tôi sẽ sống cho chính Chúa.","Xướng: Miêu duệ tôi sẽ phục vụ Ngài, sẽ tường thuật về Chúa cho thế hệ tương lai, và chúng kể cho dân hậu sinh biết đức công minh Chúa, rằng “Ðiều đó Chúa đã làm”."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 5, 21-43","info":"“Hỡi em bé, Ta bảo em hãy chỗi dậy”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su đã xuống thuyền trở về bờ bên kia, có đám đông dân chúng tụ họp quanh Người, và lúc đó Người đang ở bờ biển. Bỗng có một ông trưởng hội đường tên là Gia-ia đến. Trông thấy Người, ông sụp lạy và van xin rằng: “Con gái tôi đang hấp hối, xin Ngài đến đặt tay trên nó để nó được khỏi và được sống”. Chúa Giê-su ra đi với ông ấy, và đám đông dân chúng cũng đi theo chen lấn Người tứ phía.\rVậy có một người đàn bà bị bệnh xuất huyết đã mười hai năm. Bà đã chịu cực khổ, tìm thầy chạy thuốc, tiêu hết tiền của mà không thuyên giảm, trái lại bệnh càng tệ hơn. Khi bà nghe nói về Chúa Giê-su, bà đi lẫn trong đám đông đến phía sau Người, chạm đến áo Người, vì bà tự nhủ: “Miễn sao tôi chạm tới áo Người thì tôi sẽ được lành”. Lập tức, huyết cầm lại và bà cảm thấy trong mình đã được khỏi bệnh. Ngay lúc ấy, Chúa Giê-su nhận biết có sức mạnh đã xuất phát tự mình, Người liền quay lại đám đông mà hỏi: “Ai đã chạm đến áo Ta?” Các môn đệ thưa Người rằng: “Thầy coi, đám đông chen lấn Thầy tứ phía, vậy mà Thầy còn hỏi “Ai chạm đến Ta?” Nhưng Người cứ nhìn quanh để tìm xem kẻ đã làm điều đó. Bấy giờ người đàn bà run sợ, vì biết rõ sự thể đã xảy ra nơi mình, liền đến sụp lạy Người và thú nhận với Người tất cả sự thật. Người bảo bà: “Hỡi con, đức tin con đã chữa con, hãy về bình an và được khỏi bệnh”.\rNgười còn đang nói, thì người nhà đến nói với ông trưởng hội đường rằng: “Con gái ông chết rồi, còn phiền Thầy làm chi nữa?” Nhưng Chúa Giêsu đã thoáng nghe lời họ vừa nói, nên Người bảo ông trưởng hội đường rằng: “Ông đừng sợ, hãy cứ tin”. Và Người không cho ai đi theo, trừ Phê-rô, Gia-cô-bê và Gio-an, em Gia-cô-bê. Các ngài đến nhà ông trưởng hội đường. Và Chúa Giê-su thấy người ta khóc lóc kêu la ồn ào, Người bước vào và bảo họ: “Sao ồn ào và khóc lóc thế? Con bé không chết đâu, nó đang ngủ đó”. Họ liền chế diễu Người. Nhưng Người đuổi họ ra ngoài hết, chỉ đem theo cha mẹ đứa bé và những môn đệ đã theo Người vào chỗ đứa bé nằm. Và Người cầm tay đứa nhỏ nói rằng: “Ta-li-tha-kum”, nghĩa là: “Hỡi em bé, Ta truyền cho em hãy chỗi dậy!” Tức thì em bé đứng dậy và đi được ngay, vì em đã được mười hai tuổi. Họ sửng sốt kinh ngạc. Nhưng Người cấm ngặt họ đừng cho ai biết việc ấy, và bảo họ cho em bé ăn.","end":"Ðó là lời Chúa"}},
+        "5043": {"firstReading":{"excerpt":"(Năm I): Dt 12, 4-7. 11-15","info":"“Chúa sửa dạy ai mà Người yêu mến”.","title":"Bài trích thơ gửi tín hữu Do thái.","content":"Anh em thân mến, khi chiến đấu với tội lỗi, anh em chưa đến nỗi phải đổ máu và anh em đã quên lời yên ủi tôi nói với anh em, như nói với những người con rằng: “Hỡi con, con chớ khinh thường việc Chúa sửa dạy, và đừng nản chí khi Người quở trách con; vì Chúa sửa dạy ai mà Người yêu mến, và đánh đòn kẻ mà Người chọn làm con”.\rTrong khi được sửa dạy, anh em hãy bền chí, Thiên Chúa xử sự với anh em như con cái: vì có người con nào mà cha không sửa phạt.\rNgày nay, hẳn ai cũng coi việc sửa dạy là nỗi buồn khổ, hơn là nguồn vui, nhưng sau này, nó sẽ mang lại hoa quả bình an công chính cho những ai được sửa dạy.\rVì thế, anh em hãy nâng đỡ những bàn tay bủn rủn và những đầu gối rụng rời.\rÐường anh em đi, anh em hãy bạt cho thẳng, để người què khỏi bị trẹo chân, nhưng được an lành.\rAnh em hãy sống hòa thuận với hết mọi người, hãy ăn ở thánh thiện, chẳng vậy không ai được nhìn thấy Thiên Chúa.\rAnh em hãy coi chừng đừng ai để mất ơn Chúa, đừng để một rễ cay đắng nào mọc chồi gây xáo trộn và làm cho nhiều người bị nhiễm độc.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 102, 1-2, 13-14, 17-18a","response":"Ðáp: Lòng yêu thương của Chúa vẫn tồn tại từ thuở nầy tới thuở kia cho những ai kính sợ Ngài. (17)","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể trong người tôi, hãy chúc tụng thánh danh Ngài. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Ngài.","Xướng: Cũng như người cha yêu thương con cái, Chúa yêu thương những ai kính sợ Ngài. Ngài biết chúng tôi được luyện bằng chất gì, Ngài nhớ rằng tro bụi là chính chúng tôi!","Xướng: Nhưng lòng yêu thương của Chúa vẫn còn tồn tại từ thuở nọ tới thuở kia cho những ai kính sợ Ngài, và đức công minh Chúa còn dành để cho con cháu họ, cho những ai giữ lời minh ước của Ngài.","Xướng: Chúa là chỗ dung thân, Chúa giữ tôi khỏi điều nguy khổ, Chúa đùm bọc tôi trong niềm vui ơn cứu độ."]},"alleluia":{"verse":"Ga 8,12","content":"Alleluia. – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống. – Alleluia."},"gospel":{"excerpt":"Mc 6,1-6","info":"“Không một tiên tri nào mà không bị khinh bỉ ở quê hương”.","title":"Bài trích Phúc Âm theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su trở về quê nhà và các môn đệ cùng theo Người.\rÐến ngày Sa-bát, Người vào giảng trong hội đường, và nhiều thính giả sủng sốt về giáo lý của Người, nên nói rằng: “Bởi đâu ông nầy được như vậy? Sao ông được khôn ngoan như vậy? Bởi đâu tay Người làm được những sự lạ thể ấy? Ông này chẳng phải bác thợ mộc con bà Ma-ri-a, anh em với Gia-cô-bê, Giuse, Giu-đa và Si-mon sao? Chị em ông không ở với chúng ta đây sao?”\rVà họ vấp phạm vì Người.\rChúa Giê-su liền bảo họ: “Không một tiên tri nào mà không bị kinh bỉ ở quê hương, gia đình họ hàng mình”.\rỞ đó Người không làm phép lạ nào được, ngoại trừ đặt tay chữa vài bệnh nhân, và Người ngạc nhiên vì họ cứng lòng tin.\rNgười đi rảo qua các làng chung quanh mà giảng dạy.","end":"Ðó là lời Chúa"}},
+        "5044": {"firstReading":{"excerpt":"(Năm I) Dt 12, 18-19. 21-24","info":"“Anh em tiến đến núi Si-on và thành trì của Thiên Chúa hằng sống”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, Không phải anh em tiến tới một ngọn núi có thể sờ được, hay là lửa cháy, gió lốc, mây mù, bão táp, hoặc tiếng kèn và tiếng gầm thét, khiến cho người nghe xin tha đừng nói với họ lời nào nữa. Cảnh tượng thật hãi hùng, đến nỗi Mô-sê thốt lên: “Tôi đã kinh khiếp và run sợ”. Trái lại, anh em tiến đến núi Si-on và thành trì của Thiên Chúa hằng sống, là Giê-ru-sa-lem trên trời, tiến đến muôn ngàn thiên thần, và cộng đoàn các trưởng tử đã được ghi sổ trên trời, và đến cùng Thiên Chúa, Ðấng phán xét mọi người, đến cùng các linh hồn những người công chính hoàn hảo, đến cùng Ðấng trung gian của giao ước mới là Ðức Giê-su, và đến cùng máu đã rảy khi giao ước lên tiếng còn mạnh thế hơn máu A-ben.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 47, 2-3a. 3b-4. 9. 10-11.","response":"Ðáp: Ôi Thiên Chúa, chúng con tưởng nhớ lại lòng thương xót của Chúa, ngay trong nơi đền thánh của Ngài (c. 10).","verses":["Xướng: Chúa vĩ đại và rất đáng ngợi khen trong thành trì của Thiên Chúa chúng ta. Núi thánh của Ngài là ngọn đồi duyên dáng, niềm hoan lạc của khắp cả địa cầu.","Xướng: Núi Si-on là cùng kiệt phương bắc, là thành trì của Ðức Ðại Ðế. Thiên Chúa ngự trong thành quách của Ngài, tự chứng tỏ Ngài là an toàn chiến luỹ.","Xướng: Chúng tôi đã nhìn thấy, như đã nghe kể lại, trong thành trì của Chúa thiên binh, trong thành trì của Thiên Chúa chúng tôi: Thiên Chúa kiên thủ thành đó tới muôn đời.","Xướng: Ôi Thiên Chúa, chúng con tưởng nhớ lại lòng thương xót của Chúa, ngay trong nơi đền thánh của Ngài. Ôi Thiên Chúa, cũng như thánh danh Ngài, lời khen ngợi Ngài sẽ vang cùng cõi đất. Tay hữu Ngài đầy đức công minh."]},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"alleluia! – Lạy Chúa, lời của Chúa là thần trí và là sự sống: Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 6, 7-13","info":"“Người bắt đầu sai các ông đi“.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su gọi mười hai tông đồ và sai từng hai người đi, Người ban cho các ông có quyền trên các thần ô uế. Và Người truyền các ông đi đường đừng mang gì, ngoài cây gậy, không mang bị mang bánh, không mang tiền trong túi, nhưng chân đi dép, và đừng mặc hai áo. Người lại bảo: “Ðến đâu, các con vào nhà nào, thì ở lại đó cho đến khi ra đi. Ai không đón tiếp các con, cũng không nghe lời các con, thì hãy ra khỏi đó, phủi bụi chân để làm chứng tố cáo họ”. Các ông ra đi rao giảng sự thống hối. Các ông trừ nhiều quỷ, xức dầu chữa lành nhiều bệnh nhân.","end":"Ðó là lời Chúa"}},
+        "5045": {"firstReading":{"excerpt":"(Năm I) Dt 13, 1-8","info":"“Ðức Giê-su Ki-tô hôm qua, hôm nay và cho đến muôn đời vẫn như thế”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, tình bác ái huynh đệ phải tồn tại trong anh em. Anh em đừng lãng quên việc cho khách đỗ nhà: vì khi làm như vậy, có kẻ không ngờ mình đã đón tiếp các thiên thần. Anh em hãy nhớ đến những tù nhân như chính anh em bị tù đày chung với họ, và hãy nhớ đến những kẻ đau khổ, vì chính anh em cũng đang ở trong thân xác như họ. Mọi người phải tôn trọng hôn nhân, hãy giữ phòng the cho tinh khiết, vì Thiên Chúa sẽ đoán phạt các người tà dâm và ngoại tình. Trong nếp sống, anh em đừng tham lam; hãy bằng lòng với những gì đang có, vì Chúa đã phán: “Ta sẽ không để mặc ngươi và không bỏ rơi ngươi đâu”, đến nỗi chúng ta có thể tin tưởng mà thưa rằng: “Chúa là Ðấng phù trợ tôi, tôi chẳng sợ người đời làm gì được tôi”. Anh em hãy nhớ đến các vị lãnh đạo anh em, là những người đã rao giảng lời Chúa cho anh em. Hãy nhìn xem đời họ kết thúc ra sao mà noi gương đức tin của họ. Ðức Giê-su Ki-tô hôm qua, hôm nay, và cho đến muôn đời vẫn như thế.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 3. 5. 8b-9abc","response":"Ðáp: Chúa là sự sáng và là Ðấng cứu độ tôi (c. 1a).","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ tôi, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Nếu thiên hạ đồn binh hạ trại để hại tôi, lòng tôi sẽ không kinh hãi, nếu thiên hạ gây chiến với tôi, tôi vẫn tự tin.","Xướng: Vì ngày tai hoạ, Chúa sẽ che chở tôi trong nhà Chúa, Chúa sẽ giấu tôi trong nơi kín đáo ở Ðền Người, trên tảng đá vững chắc Người sẽ cất nhắc tôi lên.","4) Và lạy Chúa, con tìm ra mắt Chúa. Xin Chúa đừng ẩn mặt xa con, xin đừng xua đuổi tôi tớ Ngài trong thịnh nộ. Chúa là Ðấng phù trợ con, xin đừng hất hủi con."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mc 6, 14-29","info":"“Ðó chính là Gio-an Tẩy Giả trẫm đã chặt đầu, nay sống lại”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, vua Hê-rô-đê nghe nói về Chúa Giê-su, vì danh tiếng Người đã lẫy lừng, kẻ thì nói: “Gio-an Tẩy giả đã từ cõi chết sống lại, nên ông đã làm những việc lạ lùng”; kẻ thì bảo: “Ðó là Ê-li-a”; kẻ khác lại rằng: “Ðó là một tiên tri như những tiên tri khác”. Nghe vậy, Hê-rô-đê nói: “Ðó chính là Gio-an trẫm đã chặt đầu, nay sống lại”. Vì chính vua Hê-rô-đê đã sai bắt Gio-an và giam ông trong ngục, nguyên do tại Hê-rô-đi-a, vợ của Phi-líp-phê anh vua mà vua đã cưới lấy. Vì Gio-an đã bảo Hê-rô-đê: “Nhà vua không được phép chiếm lấy vợ anh mình”. Phần Hê-rô-đi-a, nàng toan mưu và muốn giết ông, nhưng không thể làm gì được, vì Hê-rô-đê kính nể Gio-an, biết ông là người chính trực và thánh thiện, và giữ ông lại. Nghe ông nói, vua rất phân vân, nhưng lại vui lòng nghe. Dịp thuận tiện xảy đến vào ngày sinh nhật Hê-rô-đê, khi vua thết tiệc các quan đại thần trong triều, các sĩ quan và những người vị vọng xứ Ga-li-lê-a. Khi con gái nàng Hê-rô-đi-a tiến vào nhảy múa, làm đẹp lòng Hê-rô-đê và các quan khách, thì vua liền nói với thiếu nữ ấy rằng: “Con muối gì, cứ xin, trẫm sẽ cho”, và vua thề rằng: “Con xin bất cứ điều gì, dù là nửa nước, trẫm cũng cho”. Cô ra hỏi mẹ: “Con nên xin gì?” Mẹ cô đáp: “Xin đầu Gio-an Tẩy Giả”. Cô liền vội vàng trở vào xin vua: “Con muốn đức vua ban ngay cho con cái đầu Gio-an Tẩy Giả đặt trên đĩa”. Vua buồn lắm, nhưng vì lời thề và vì có các quan khách, nên không muốn làm cho thiếu nữ đó buồn. Và lập tức, vua sai một thị vệ đi lấy đầu Gio-an và đặt trên đĩa. Viên thị vệ liền đi vào ngục chặt đầu Gio-an, và đặt trên đĩa trao cho thiếu nữ, và thiếu nữ đem cho mẹ. Nghe tin ấy, các môn đệ Gio-an đến lấy xác ông và mai táng trong mồ.","end":"Ðó là lời Chúa"}},
+        "5046": {"firstReading":{"excerpt":"(Năm I) Dt 13, 15-17, 20-21","info":"“Nguyện Thiên Chúa bình an, Người đã đem ra khỏi cõi chết Ðấng nhờ máu giao ước, làm cho anh em xứng đáng thi hành việc thiện”.","title":"Trích thơ gửi tín hữu Do-thái.","content":"Anh em thân mến, nhờ Ðức Giê-su mà trong mọi lúc, chúng ta luôn luôn hiến dâng cho Thiên Chúa của lễ ngợi khen, tức là hoa quả của miệng lưỡi ta tuyên xưng danh Người. Anh em đừng quên công việc từ thiện và sự tương tế, vì Chúa hài lòng về những của lễ như thế. Anh em hãy vâng lời và tùng phục các vị lãnh đạo anh em, vì chính các ngài canh giữ linh hồn anh em, như những người sẽ phải trả lẽ, để các ngài hân hoan thi hành việc đó, chớ không phàn nàn, vì điều đó không có lợi gì cho anh em. Nguyện Thiên Chúa bình an, Người đã đem ra khỏi cõi chết Ðấng nhờ máu giao ước vĩnh cửu, trở nên vị Mục tử cao cả, tức là Ðức Giê-su Ki-tô, Chúa chúng ta, xin Người làm cho anh em trong các việc thiện, xứng đáng thi hành thánh ý Người, khi Người thực hiện trong anh em điều Người hài lòng, nhờ Ðức Giê-su Ki-tô, Ðấng được vinh quang đến muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi (c. 1).","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi, trên đồng cỏ xanh rì Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa,) dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Người, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương; đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng biết Ta”. – Alleluia."},"gospel":{"excerpt":"Mc 6, 30-34","info":"“Họ như đàn chiên không người chăn”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Mác-cô.","content":"Khi ấy, các tông đồ hội lại bên Chúa Giê-su và thuật lại với Người mọi việc các ông đã làm và đã giảng dạy. Người liền bảo các ông: “Các con hãy lui vào nơi vắng vẻ mà nghỉ ngơi một chút”. Vì lúc ấy dân chúng đến tấp nập đến nỗi các tông đồ không có thì giờ ăn uống. Vậy các ngài xuống thuyền, chèo tới một nơi vắng vẻ hẻo lánh. Thấy các ngài đi, nhiều người hiểu ý, và từ các thành phố, người ta đi bộ kéo đến nơi đó và tới nơi trước các ngài. Lúc ra khỏi thuyền, Chúa Giê-su thấy dân chúng thật đông, thì động lòng thương, vì họ như đàn chiên không người chăn, và Người dạy dỗ họ nhiều điều.","end":"Ðó là lời Chúa"}},
+        "5051": {"firstReading":{"excerpt":"(Năm I) St 1, 1-19","info":"“Thiên Chúa phán: và xảy ra như vậy”.","title":"Trích sách Sáng Thế.","content":"Từ nguyên thủy Thiên Chúa đã tạo thành trời đất. Ðất còn hoang vu trống rỗng, tối tăm bao trùm vực thẳm, và Thần trí Thiên Chúa bay sà trên mặt nước.\rThiên Chúa phán: “Hãy có ánh sáng”. Và có ánh sáng. Thiên Chúa thấy ánh sáng tốt đẹp, Người phân rẽ ánh sáng khỏi tối tăm. Thiên Chúa gọi ánh sáng là ngày, tối tăm là đêm. Qua một buổi chiều và một buổi sáng: đó là ngày thứ nhất.\rThiên Chúa phán: “Hãy có một vòm trời ở giữa nước, phân rẽ nước với nước”, và Thiên Chúa làm nên vòm trời, và phân rẽ nước phía trên vòm trời với nước dưới vòm trời. Và xảy ra như vậy. Thiên Chúa gọi vòm đó là trời. Qua một buổi chiều và một buổi sáng: đó là ngày thứ hai.\rThiên Chúa phán: “Nước dưới trời hãy tụ tại một nơi, để lộ ra chỗ khô cạn. Và đã xảy ra như vậy. Thiên Chúa gọi chỗ khô cạn là đất, và Người gọi khối nước là biển. Thiên Chúa thấy tốt đẹp. Và Thiên Chúa phán: “Ðất hãy trổ sinh thảo mộc xanh tươi mang hạt giống, và cây ăn trái phát sinh trái theo giống nó, và trong trái có hạt giống, trên mặt đất. Và đã xảy ra như vậy. Tức thì đất sản xuất thảo mộc xanh tươi mang hạt theo giống nó, và cây phát sinh trái trong có hạt tuỳ theo loại nó. Và Thiên Chúa thấy nó tốt đẹp. Qua một buổi chiều và một buổi sáng: đó là ngày thứ ba.\rThiên Chúa còn phán: “Hãy có những vật sáng trên vòm trời và hãy phân chia ngày và đêm, và trở thành dấu chỉ thời gian, ngày và năm tháng, để soi sáng trên vòm trời và giãi sáng mặt đất”. Và đã xảy ra như vậy. Thiên Chúa đã làm nên hai vầng sáng lớn: Vầng sáng lớn hơn làm chủ ban ngày, và vầng sáng nhỏ hơn làm chủ ban đêm; và Ngài cũng làm nên các tinh tú. Thiên Chúa đặt chúng trên vòm trời để soi sáng trên mặt đất, và làm chủ ngày đêm, và phân chia ánh sáng với tối tăm. Thiên Chúa thấy tốt đẹp. Qua một buổi chiều và một buổi sáng: đó là ngày thứ tư.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 103, 1-2a. 5-6. 10 và 12. 24 và 35c","response":"Ðáp: Nguyện cho Chúa hân hoan vì công cuộc của Chúa (c. 31b).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa. Lạy Chúa là Thiên Chúa của con, Ngài rất ư vĩ đại! Ngài mặc lấy oai nghiêm huy hoàng, ánh sáng choàng thân như mang áo khoác.","Xướng: Ngài dựng vững địa cầu trên nền tảng, cho tới muôn đời nó chẳng lung lay. Ngài dùng biển che phủ nó như áo che thân, trên ngọn núi non muôn ngàn nước đọng.","Xướng: Ngài lệnh cho mạch nước tràn ra thành suối, chúng chảy rì rào giữa miền non núi. Bên cạnh chúng, chim trời cư ngụ, từ trong ngành cây vang ra tiếng hót.","Xướng: Lạy Chúa, thực nhiều thay công cuộc của Ngài! Ngài đã tạo thành vạn vật cách khôn ngoan, địa cầu đầy dẫy loài thụ tạo của Ngài. Linh hồn tôi ơi, hãy chúc tụng Chúa."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia"},"gospel":{"excerpt":"Mc 6, 53-56","info":"Tất cả những ai chạm tới Người, đều được khỏi bệnh\".","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ qua biển rồi, các ngài tới miền Giênêsarét và ghé bến.\rCác ngài lên khỏi thuyền, tức thì người ta nhận ra Người, họ liền rảo chạy khắp miền, và nghe tin Người ở đâu thì khiêng những người đau yếu nằm trên chõng đến đó.\rBất cứ Người vào làng trại hay đô thị nào, người ta cũng đặt các bệnh nhân ở các nơi công cộng và xin Người cho họ ít là được chạm tới gấu áo Người, và tất cả những ai chạm tới Người, đều được khỏi bệnh.","end":"Ðó là lời Chúa"}},
+        "5052": {"firstReading":{"excerpt":"(Năm I) St 1, 20 – 2, 4a","info":"“Chúng ta hãy dựng nên con người theo hình ảnh giống như Ta”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa phán: “Nước hãy sản xuất những sinh vật bò sát và loài chim bay trên mặt đất, dưới vòm trời”. Vậy Thiên Chúa tạo thành những cá lớn, mọi sinh vật sống động mà nước sản xuất theo loại chúng, và mọi chim bay tuỳ theo giống. Thiên Chúa thấy chúng tốt đẹp. Thiên Chúa chúc phúc cho chúng rằng: “Hãy sinh sôi nảy nở cho nhiều, đầy nước biển; loài chim hãy sinh cho nhiều trên mặt đất”. Qua một buổi chiều và một buổi sáng: đó là ngày thứ năm.\rThiên Chúa lại phán: “Ðất hãy sản xuất các sinh vật tuỳ theo giống: gia súc, loài bò sát và dã thú dưới đất tuỳ theo loại”. Và đã xảy ra như vậy. Thiên Chúa đã dựng nên dã thú dưới đất tuỳ theo loại, gia súc và mọi loài bò sát dưới đất tuỳ theo giống. Thiên Chúa thấy chúng tốt đẹp; và Thiên Chúa phán: “Chúng ta hãy dựng nên con người theo hình ảnh giống như Ta, để chúng làm chủ cá biển, chim trời, dã thú khắp mặt đất, và tất cả loài bò sát di chuyển trên mặt đất”. Vậy Thiên Chúa đã tạo thành con người giống hình ảnh Chúa; Chúa tạo thành con người giống hình ảnh Thiên Chúa. Người tạo thành họ có nam có nữ. Thiên Chúa chúc phúc cho họ và phán rằng: “Hãy sinh sôi nảy nở cho nhiều đầy mặt đất, và thống trị nó, hãy bá chủ cá biển, chim trời và toàn thể sinh vật di chuyển trên mặt đất”. Thiên Chúa phán: “Ðây Ta ban cho các ngươi làm thức ăn mọi thứ cây cỏ mang hạt giống trên mặt đất và toàn thể thảo mộc sinh trái có hạt tuỳ theo giống. Ta ban mọi thứ cây cỏ xanh tươi làm thức ăn cho mọi loài dã thú trên mặt đất, chim trời và toàn thể sinh vật di chuyển trên mặt đất”. Và đã xảy ra như vậy. Thiên Chúa thấy mọi sự Người đã làm rất tốt đẹp. Qua một buổi chiều và một buổi sáng: đó là ngày thứ sáu.\rThế là trời đất và mọi trang điểm của chúng đã hoàn thành. Ngày thứ bảy Thiên Chúa hoàn tất công việc Người đã làm. Và sau khi hoàn tất công việc Người đã làm, thì ngày thứ bảy Người nghỉ ngơi. Chúa chúc phúc và thánh hoá ngày thứ bảy, vì trong ngày đó, Người nghỉ việc tạo thành.\rÐó là gốc tích trời đất khi được tạo thành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 8, 4-5. 6-7. 8-9","response":"Ðáp: Lạy Chúa, lạy Chúa chúng con, lạ lùng thay danh Chúa khắp nơi hoàn cầu (c. 2a).","verses":["Xướng: Khi con ngắm cõi trời, công cuộc tay Chúa tạo ra, vầng trăng và muôn tinh tú mà Chúa gầy dựng, thì nhân loại là chi mà Chúa nhớ tới? con người là chi mà Chúa để ý chăm nom?","Xướng: Chúa dựng nên con người kém thiên thần một chút, Chúa trang sức con người bằng danh dự với vinh quang, Chúa ban cho quyền hành trên công cuộc tay Ngài sáng tạo, Chúa đặt muôn vật dưới chân con người.","Xướng: Nào chiên nào bò, thôi thì tất cả, cho tới những muông thú ở đồng hoang, chim trời với cá đại dương, những gì lội khắp nẻo đường biển khơi."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mc 7, 1-13","info":"“Các ngươi gác bỏ một bên các giới răn Thiên Chúa, để nắm giữ tập tục phàm nhân”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, những người biệt phái và mấy luật sĩ từ Giêrusalem tụ tập lại bên Chúa Giêsu, và họ thấy vài môn đệ Người dùng bữa với những bàn tay không tinh sạch, nghĩa là không rửa trước. Vì theo đúng tập tục của tiền nhân, những người biệt phái và mọi người Do-thái không dùng bữa mà không rửa tay trước, và ở nơi công cộng về, họ không dùng bữa mà không tắm rửa trước. Họ còn giữ nhiều tập tục khác nữa, như rửa chén, rửa bình, rửa các đồ đồng. Vậy những người biệt phái và luật sĩ hỏi Người: “Sao môn đệ ông không giữ tập tục của tiền nhân mà lại dùng bữa với những bàn tay không tinh sạch?” Người đáp: “Hỡi bọn giả hình, Isaia thật đã nói tiên tri rất chí lý về các ngươi, như lời chép rằng: “Dân này kính Ta ngoài môi miệng, nhưng lòng chúng ở xa Ta. Nó sùng kính Ta cách giả dối, bởi vì nó dạy những giáo lý và những luật lệ loài người”. Vì các ngươi bỏ qua các giới răn Thiên Chúa, để nắm giữ tập tục loài người: rửa bình, rửa chén và làm nhiều điều như vậy”. Và Người bảo: “Các ngươi đã khéo bỏ giới răn Thiên Chúa, để nắm giữ tập tục của các ngươi. Thật vậy, Môsê đã nói: “Hãy thảo kính cha mẹ”, và “ai rủa cha mẹ, sẽ phải xử tử”. Còn các ngươi thì lại bảo: “Nếu ai nói với cha mẹ mình rằng: Những của tôi có thể giúp cha mẹ được là Corban rồi (nghĩa là của dâng cho Chúa)”, và các ngươi không để cho kẻ ấy giúp gì cho cha mẹ nữa. Như thế các ngươi huỷ bỏ lời Chúa bằng những tập tục truyền lại cho nhau. Và các ngươi còn làm nhiều điều khác giống như thế”.","end":"Ðó là lời Chúa"}},
+        "5053": {"firstReading":{"excerpt":"(Năm lẻ) St 2, 4b-9. 15-17","info":"“Thiên Chúa đặt con người vào vườn địa đàng”.","title":"Bài trích sách Sáng Thế.","content":"Trong ngày Thiên Chúa tạo dựng trời đất, thì chưa có bụi cây nào mọc ngoài đồng, không có một cây rau cỏ nào nẩy mầm ngoài đồng ruộng, vì Chúa là Thiên Chúa chưa cho mưa rơi xuống đất, và chưa có người để trồng trọt, nhưng lúc đó mạch nước từ đất vọt lên, tưới khắp mặt đất.\rVậy Thiên Chúa lấy bùn đất nắn thành con người, thổi sinh khí vào lỗ mũi và con người trở thành một vật sống.\rThiên Chúa lập một vườn tại Eđen về phía đông và đặt vào đó con người mà Ngài đã dựng nên.\rThiên Chúa cho từ đất mọc lên mọi thứ cây trông đẹp, ăn ngon, với cây sự sống ở giữa vườn, và cây biết lành dữ.\rVậy Thiên Chúa đem con người đặt vào vườn địa đàng, để họ trồng tỉa và coi sóc vườn.\rVà Thiên Chúa truyền lệnh cho con người như sau: “Ngươi được ăn mọi thứ trái cây trong vườn, nhưng chớ ăn trái cây biết lành dữ, vì ngày nào ngươi ăn nó, ngươi sẽ phải chết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 103, 1-2a 27-28, 29bc-30","response":"Ðáp: Linh hồn tôi ơi, hãy chúc tụng Chúa (1a).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, lạy Chúa là Thiên Chúa của tôi, Ngài rất ư vĩ đại! Ngài mặc lấy oai nghiêm huy hoàng, ánh sáng choàng thân như mang áo khoác. – Ðáp.","Xướng: Hết thảy mọi vật đều mong chờ ở Chúa, để Ngài ban lương thực cho chúng đúng thời giờ. Khi Ngài ban cho thì chúng lãnh, Ngài mở tay ra thì chúng no đầy thiện hảo. – Ðáp.","Xướng: Ngài rút hơi thở chúng đi, chúng chết ngay, và chúng trở về chỗ tro bụi của mình. Nếu Ngài gởi hơi thở tới, chúng được tạo thành, và Ngài canh tân bộ mặt trái đất. – Ðáp."]},"alleluia":{"verse":"Ga. 15, 15b","content":"alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết.- Alleluia."},"gospel":{"excerpt":"Mc 7,14-23","info":"“Những gì từ con người ta xuất ra, đó là cái làm cho người ta ra ô uế”","title":"Bài trích Phúc Âm theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu lại gọi dân chúng mà bảo rằng: “Hết thảy hãy nghe và hiểu rõ lời Ta. Không có gì từ bên ngoài vào trong con người mà có thể làm cho họ ra ô uế. Chỉ có những gì từ con người ta xuất ra, chính những cái đó mới làm cho họ ra ô uế. Ai có tai để nghe thì hãy nghe”.\rLúc Người lìa dân chúng mà về nhà, các môn đệ hỏi Người về ý nghĩa dụ ngôn ấy. Người liền bảo các ông: “Các con cũng mê muội như thế ư? Các con không hiểu rằng tất cả những gì từ bên ngoài vào trong con người không thể làm cho người ta ra ô uế được, vì những cái đó không vào trong tâm trí, nhưng vào bụng rồi xuất ra”.\rNhư vậy Người tuyên bố mọi của ăn đều sạch. Người lại phán: “Những gì ở trong người ta mà ra, đó là cái làm cho người ta ô uế. Vì từ bên trong, từ tâm trí người ta xuất phát những tư tưởng xấu, ngoại tình, dâm ô, giết người, trộm cắp, tham lam, độc ác, xảo trá, lăng loàn, ganh tị, vu khống, kiêu căng, ngông cuồng.\rTất cả những sự xấu đó đều ở trong mà ra, và làm cho ngươì ta ô uế”.","end":"Ðó là lời Chúa"}},
+        "5054": {"firstReading":{"excerpt":"(Năm I) St 2, 18-25","info":"“Người dẫn bà đến trước Ađam. Và cả hai nên một thân thể”.","title":"Bài trích sách Sáng Thế.","content":"Thiên Chúa phán: “Ðàn ông ở một mình không tốt, Ta hãy tạo dựng cho nó một nội trợ giống như nó”. Sau khi lấy bùn đất dựng nên mọi thú vật dưới đất và toàn thể chim trời, Thiên Chúa dẫn đến trước mặt Ađam để coi ông gọi chúng thế nào, và sinh vật nào Ađam gọi, thì chính đó là tên nó. Ađam liền đặt tên cho mọi súc vật, chim trời và muông thú. Nhưng Ađam không gặp một người nội trợ giống như mình. Vậy Thiên Chúa khiến cho Ađam ngủ say, và khi ông đang ngủ, Người lấy một xương sườn của ông, và đắp thịt lại. Thiên Chúa làm cho chiếc xương sườn đã lấy từ Ađam trở thành người đàn bà, rồi dẫn đến Ađam. Ađam liền nói: “Bây giờ đây xương bởi xương tôi và thịt bởi thịt tôi. Người này sẽ được gọi là người nữ, vì bởi người nam mà ra”. Vì thế, người đàn ông sẽ lìa bỏ cha mẹ mà kết hợp với vợ mình, và cả hai nên một thân thể. Lúc ấy cả hai người, tức Ađam và vợ ông, đều khỏa thân mà không hề xấu hổ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv. 127, 1, 2-3, 4-5","response":"Xướng: Phúc cho ai biết kính sợ Chúa, và bước đi trong đường lối Người. Ngươi sẽ hưởng công khó của tay ngươi. Ngươi có phúc và sẽ được may mắn.","verses":["Đáp: Phúc cho ai biết kính sợ Chúa.","Xướng: Vợ ngươi như cây nho sai trái, trong nội cung gia thất nhà ngươi. Con cái ngươi như trồi non cây dầu ở chung quanh bàn ăn của ngươi.","Xướng: Đó là ơn phúc lành, cho người kính sợ Chúa. Từ Si-on xin Chúa chúc lành cho ngươi. Chúc ngươi thấy Giê-ru-sa-lem thịnh đạt suốt mọi ngày trong đời sống ngươi."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời – Alleluia."},"gospel":{"excerpt":"Mc 7, 24-30","info":"Những con chó ở dưới gầm bàn cũng ăn những mụn bánh rơi của con cái","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đến địa hạt Tyrô và Siđon. Vào một nhà kia, Người không muốn ai biết Mình, nhưng Người không thể ẩn náu được. Vì ngay lúc đó, một bà kia có đứa con gái bị thần ô uế ám, bà nghe nói về Người liền đến phục lạy Người. Bà đó là người dân ngoại, dòng giống Syrô-phênixi, và bà xin Người trừ quỷ ra khỏi con bà. Người nói: “Hãy để con cái ăn no trước đã, vì không nên lấy bánh của con cái mà ném cho chó”. Nhưng bà trả lời và thưa Người rằng: “Thưa Thầy, đúng thế, nhưng các chó con cũng được ăn những mụn rơi dưới bàn ăn của con cái”. Người liền nói với bà: “Vì lời bà nói đó, bà hãy về; quỷ đã ra khỏi con gái bà rồi”. Khi bà về đến nhà, thì thấy cô gái nhỏ nằm trên giường và quỷ đã xuất rồi.","end":"Ðó là lời Chúa"}},
+        "5055": {"firstReading":{"excerpt":"(Năm I) St 3, 1-8","info":"“Các ngươi sẽ biết thiện ác như thần thánh”.","title":"Bài trích sách Sáng Thế.","content":"Con rắn là loài xảo quyệt nhất trong mọi dã thú mà Thiên Chúa tạo thành. Nó nói với người nữ rằng: “Có phải Thiên Chúa đã bảo: “Các ngươi không được ăn mọi thứ cây trong vườn?” Người nữ trả lời con rắn: “Chúng tôi được ăn trái cây trong vườn; nhưng trái cây ở giữa vườn, thì Thiên Chúa bảo: “Các ngươi đừng ăn, đừng động tới nó, nếu không, sẽ phải chết”. Rắn bảo người nữ: “Không, các ngươi không chết đâu. Nhưng Thiên Chúa biết rằng ngày nào các ngươi ăn trái ấy, mắt các ngươi sẽ mở ra, và các ngươi sẽ biết thiện ác như thần thánh”. Người nữ thấy cây đẹp mắt, ngon lành và thèm ăn để nên thông minh. Bà hái trái cây ăn, rồi lại đưa cho chồng, người chồng cũng ăn. Mắt họ liền mở ra và họ nhận biết mình trần truồng, nên kết lá vả che thân. Bấy giờ hai người nghe tiếng Thiên Chúa đi trong vườn địa đàng lúc chiều mát. Ađam và vợ ông liền núp trong lùm cây trong vườn địa đàng cho khuất mặt Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 31, 1-2.5.6.7","response":"Xướng: Phúc thay người được tha thứ lỗi lầm, và tội phạm của người được ơn che đậy! Phúc thay người mà Chúa không trách cứ lỗi lầm, và trong lòng người đó chẳng có mưu gian.","verses":["Đáp: Phúc thay người được tha thứ lỗi lầm.","Xướng: Tôi xưng ra cùng Chúa tội tôi đã phạm, và lỗi lầm của tôi, tôi đã không che giấu. Tôi nói: “Tôi thú thực cùng Chúa điều gian ác của tôi, và Chúa đã tha thứ tội lỗi cho tôi”.","Xướng: Bởi thế nên mọi người tín hữu sẽ nguyện cùng Chúa, trong thời buổi khốn khó gian truân. Khi sóng cả ba đào ập tới, chúng sẽ không làm hại nổi những người này.","Xướng: Chúa là chỗ dung thân, Chúa giữ tôi khỏi điều nguy khổ, Chúa đùm bọc tôi trong niềm vui ơn cứu độ."]},"alleluia":{"verse":" ","content":"Alleluia – Lạy Chúa, xin dạy bảo tôi về lối bước của Chúa và xin hướng dẫn tôi trong chân lý của Ngài – Alleluia."},"gospel":{"excerpt":"Mc 7, 31-37","info":"“Người làm cho kẻ điếc nghe được và người câm nói được”.","title":"Bài trích Phúc Âm theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu từ địa hạt Tyrô, qua Siđon đến gần biển Galilêa giữa miền thập tỉnh. Người ta đem đến cho Người một kẻ điếc và xin Người đặt tay trên kẻ ấy. Người đem anh ta ra khỏi đám đông, đặt ngón tay vào tai anh và bôi nước miếng vào lưỡi anh. Ðoạn ngước mắt lên trời, Người thở dài và bảo: Ephata, nghĩa là “hãy mở ra”, tức thì tai anh được sõi sàng. Chúa Giêsu liền cấm họ: đừng nói điều đó với ai cả. Nhưng Người càng cấm, thì họ càng loan truyền mạnh hơn. Họ đầy lòng thán phục, mà rằng: “Người làm mọi sự tốt đẹp, Người làm cho kẻ điếc nghe được và người câm nói được”.","end":"Ðó là lời Chúa"}},
+        "5056": {"firstReading":{"excerpt":"(Năm I) St 3, 9-24","info":"“Chúa đuổi ông ra khỏi vườn địa đàng, để cày ruộng đất”.","title":"Bài trích sách Sáng Thế.","content":"Thiên Chúa đã gọi Ađam và phán bảo ông rằng: “Ngươi ở đâu?”\rÔng đã thưa: “Tôi đã nghe tiếng Ngài trong vườn địa đàng, nhưng tôi sợ hãi, vì tôi trần truồng và đang ẩn núp”.\rChúa phán bảo ông rằng: “Ai đã chỉ cho ngươi biết rằng ngươi trần truồng, há chẳng phải tại ngươi đã ăn trái cây mà Ta đã cấm ngươi không được ăn ư?”\rAđam thưa lại: “Người phụ nữ Chúa đã cho làm bạn với tôi, chính nàng đã cho tôi trái cây và tôi đã ăn”.\rVà Thiên Chúa phán bảo người phụ nữ rằng: “Tại sao ngươi đã làm điều đó?”\rNgười phụ nữ thưa: “Con rắn đã lừa dối tôi và tôi đã ăn”.\rThiên Chúa phán bảo con rắn rằng: “Bởi vì mi đã làm điều đó, mi sẽ vô phúc ở giữa mọi sinh vật và mọi muông thú địa cầu, mi sẽ bò đi bằng bụng và mi sẽ ăn bùn đất mọi ngày trong đời mi. Ta sẽ đặt mối thù nghịch giữa mi và người phụ nữ, giữa miêu duệ mi và miêu duệ người đó, người miêu duệ đó sẽ đạp nát đầu mi, còn mi thì rình cắn gót chân người”.\rChúa phán bảo cùng người phụ nữ rằng: “Ta sẽ làm cho ngươi gặp nhiều khổ cực khi thai nghén và đau đớn khi sinh con; ngươi sẽ ở dưới quyền người chồng, và chồng sẽ trị ngươi”.\rNgười lại phán bảo Ađam rằng: “Vì ngươi đã nghe lời vợ mà ăn trái Ta cấm, nên đất bị nguyền rủa vì tội của ngươi. Trọn đời, ngươi phải làm lụng vất vả mới có mà ăn. Ðất sẽ mọc cho ngươi đủ thứ gai góc, và ngươi sẽ ăn rau cỏ ngoài đồng. Ngươi phải đổ mồ hôi trán mới có bánh ăn, cho đến khi ngươi trở về đất, vì ngươi từ đó mà ra. Ngươi là bụi đất, nên ngươi sẽ trở về bụi đất”.\rVà Ađam đã gọi tên vợ mình là Evà: vì lẽ bà là mẹ của chúng sinh.\rThiên Chúa cũng làm cho Ađam và vợ ông những chiếc áo da và mặc cho họ.\rVà Người phán: “Nầy, Ađam đã trở thành như một trong chúng ta, biết thiện ác. Vậy bây giờ, đừng để hắn giơ tay hái trái cây trường sinh mà ăn và được sống đời đời”.\rVà Thiên Chúa đuổi ông ra khỏi vườn địa đàng, để cày ruộng đất, là nơi ông phát xuất ra.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89,2.3-4.5-6.12-13","response":"Xướng: Ôi Thiên Chúa, trước khi núi non sinh đẻ, trước khi địa cầu và vũ trụ nở ra, tự thuở này qua thuở kia, Ngài vẫn có.","verses":["Đáp: Thân lạy Chúa, Chúa là chỗ chúng tôi dung thân, từ đời nọ trải qua đời kia.","Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Người phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Chúa khiến họ trôi đi, họ như kẻ mơ màng buổi sáng, họ như cây cỏ mọc xanh tươi; Ban sáng cỏ nở hoa và xanh tốt, buổi chiều nó bị xén đi và nó héo khô.","Xướng: Xin dạy chúng tôi biết đếm ngày giờ, để chúng tôi luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chớ còn để tới bao giờ, xin tỏ lòng xót thương tôi tớ của Ngài."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Ước gì hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng – Alleluia."},"gospel":{"excerpt":"Mc 8, 1-10","info":"“Họ ăn no nê”.","title":"Bài trích Phúc Âm theo Thánh Marcô.","content":"Trong những ngày ấy, dân chúng theo Chúa Giêsu đông đảo, và họ không có gì ăn, Người gọi các môn đệ và bảo: “Ta thương đám đông, vì này đã ba ngày rồi, họ không rời bỏ Ta và không có gì ăn. Nếu Ta để họ đói mà về nhà, họ sẽ mệt lả giữa đường, vì có nhiều người từ xa mà đến”.\rCác môn đệ thưa: “Giữa nơi hoang địa này, lấy đâu đủ bánh cho họ ăn no”.\rVà người hỏi các ông: “Các con có bao nhiêu bánh?”\rCác ông thưa: “Có bảy chiếc”.\rNgười truyền dân chúng ngồi xuống đất, rồi Người cầm lấy bảy chiếc bánh, tạ ơn, bẻ ra và trao cho các môn đệ phân phát.\rCác ông chia cho dân chúng.\rCác môn đệ còn có mấy con cá nhỏ.\rNgười cũng đọc lời chúc tụng và truyền cho các ông phân phát.\rDân chúng ăn no nê và người ta thu lượm những miếng còn thừa lại được bảy thúng.\rSố người ăn độ chừng bốn ngàn.\rRồi Người giải tán họ, kế đó Người cùng các môn đệ xuống thuyền đến miền Ðammanutha.","end":"Ðó là lời Chúa"}},
+        "5061": {"firstReading":{"excerpt":"(Năm I) St 4,1-15.25","info":"“Cain xông vào giết Abel em mình”.","title":"Trích sách Sáng Thế.","content":"Ađam ăn ở với vợ là Evà; bà mang thai, sinh ra Cain, và nói rằng: “Nhờ ơn Chúa, tôi sinh được người con”. Bà sinh ra Abel là em. Abel thì chăn chiên, còn Cain thì làm ruộng. Sau một thời gian, Cain lấy hoa trái đồng ruộng dâng lên cho Chúa. Abel cũng bắt các con vật đầu đàn và lấy mỡ mà dâng lên cho Chúa. Chúa đoái nhìn đến Abel và của lễ ông dâng. Còn Cain và của lễ của ông, thì Chúa không nhìn đến, nên Cain quá căm tức và sụ mặt xuống. Chúa nói với Cain: “Tại sao ngươi căm tức, tại sao ngươi sụ mặt như thế? Nếu ngươi làm lành, sao ngươi không ngẩng mặt lên; còn nếu ngươi làm dữ, thì tội đã kề ở cửa ngươi. Lòng ganh tị thúc đẩy ngươi, ngươi phải chế ngự nó”.\rCain nói cùng em là Abel rằng: “Chúng ta hãy ra ngoài”. Và khi hai anh em đã ra tới đồng, thì Cain xông vào giết Abel em mình. Chúa phán cùng Cain rằng: “Abel, em ngươi đâu?” Cain thưa: “Tôi đâu có biết! Tôi có phải là người giữ em tôi đâu?” Chúa phán: “Ngươi đã làm gì? Tiếng máu em ngươi từ đất kêu thấu đến Ta. Bây giờ, ngươi bị chúc dữ trên phần đất đã mở miệng hút máu em ngươi do tay ngươi làm đổ ra. Khi ngươi trồng tỉa, đất sẽ không sinh hoa trái cho ngươi. Ngươi sẽ đi lang thang khắp mặt đất”. Cain thưa cùng Chúa rằng: “Tội ác tôi quá nặng nề, đâu tôi còn đáng tha thứ. Hôm nay Chúa đuổi tôi ra khỏi mặt đất, tôi sẽ ẩn trốn khỏi mặt Chúa và tôi sẽ đi lang thang trên mặt đất, nhưng ai gặp tôi, sẽ giết tôi”. Chúa bảo: “Không có vậy đâu, hễ ai giết Cain, thì sẽ bị phạt gấp bảy lần”. Rồi Chúa ghi trên Cain một dấu, để ai gặp hắn, sẽ không giết hắn.\rAđam còn ăn ở với vợ, bà sinh một con trai đặt tên là Seth, bà nói: “Thiên Chúa đã ban cho tôi một đứa con trai khác thế cho Abel mà Cain đã giết”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 1 và 8. 16bc-17. 20-21","response":"Xướng: Chúa là Thiên Chúa đã lên tiếng kêu gọi địa cầu, từ chỗ mặt trời mọc lên tới nơi lặn xuống. Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn.","verses":["Ðáp: Hãy hiến dâng Thiên Chúa lời khen ngợi","Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta? Ngươi là kẻ không ưa lời giáo huấn và ném bỏ lời Ta lại sau lưng?","Xướng: Ngươi ngồi đâu là buông lời nói xấu anh em, làm tủi nhục cho người con cùng mẹ với ngươi. Ngươi làm thế, mà Ta đành yên lặng? Ngươi đã tưởng rằng Ta giống như ngươi? Ta sẽ bắt lỗi, sẽ phơi bày trước mặt ngươi tất cả."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết – Alleluia."},"gospel":{"excerpt":"Mc 8, 11-13","info":"“Tại sao thế hệ này lại xin điềm lạ?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các người biệt phái xuất hiện và bắt đầu tranh luận với Chúa Giêsu. Họ xin Người một điềm lạ trên trời để thử Người. Người thở dài mà nói: “Tại sao thế hệ này lại xin điềm lạ? Quả thật, Ta bảo các ông hay: Sẽ chẳng cho thế hệ này điềm lạ nào”. Rồi bỏ họ đó, Người lại xuống thuyền sang bờ bên kia.","end":"Ðó là lời Chúa"}},
+        "5062": {"firstReading":{"excerpt":"(Năm I) St 6,5-8;7,1-5.10","info":"“Ta sẽ huỷ diệt khỏi mặt đất loài người mà Ta đã dựng nên”","title":"Trích sách Sáng Thế.","content":"Thiên Chúa thấy tội ác loài người lan tràn trên mặt đất, mọi tư tưởng trong lòng đều luôn luôn hướng về đàng xấu, nên Chúa lấy làm tiếc vì đã tạo dựng loài người trên mặt đất, Người đau lòng mà nói: “Ta sẽ huỷ diệt khỏi mặt đất loài người mà Ta đã dựng nên, từ loài người đến loài vật, từ rắn rết đến chim trời, vì Ta lấy làm tiếc đã tạo dựng nên chúng”. Nhưng ông Noe được ơn nghĩa trước mặt Chúa.\rChúa phán cùng Noe rằng: “Ngươi và cả nhà ngươi hãy vào trong tàu, vì trong thế hệ này, Ta chỉ thấy có ngươi là công chính trước mặt Ta. Trong các súc vật thanh sạch, ngươi hãy bắt mỗi thứ bảy con đực bảy con cái, còn trong các loài vật không thanh sạch, ngươi hãy bắt mỗi thứ hai con đực hai con cái. Nhưng các chim trời, ngươi hãy bắt mỗi thứ bảy con trống bảy con mái, để bảo tồn nòi giống các loài ấy trên mặt đất, vì còn bảy ngày nữa, Ta sẽ cho mưa trên mặt đất suốt bốn mươi đêm ngày, và Ta sẽ huỷ diệt khỏi mặt đất tất cả các loài Ta đã dựng nên”. Vậy Noe thi hành mọi điều Chúa đã truyền dạy. Và sau bảy ngày, nước lụt đã xảy đến trên đất.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 28,1a và 2.3ac-4.3b và 9b-10.","response":"Xướng: Các con cái Thiên Chúa, hãy dâng kính Chúa, Hãy dâng kính Chúa vinh quang xứng với danh Người, hãy mang lễ phục thánh để thờ lạy Chúa.","verses":["Ðáp: Chúa sẽ chúc phúc cho dân Người trong cảnh thái bình","Xướng: Tiếng Chúa vang dội trên mặt nước, Chúa ngự trên muôn ngàn sóng nước. Tiếng Chúa phán ra trong uy quyền, tiếng Chúa phán ra trong oai vệ.","Xướng: Thiên Chúa oai nghiêm làm cho sấm sét nổ ran, và trong thánh đài của Chúa mọi người kêu lên: Vinh quang Chúa ngự trị trong cơn hồng thủy, và Chúa làm vua ngự trị tới muôn đời."]},"alleluia":{"verse":" ","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia"},"gospel":{"excerpt":"Mc 8, 14-21","info":"“Các con hãy ý tứ giữ mình khỏi men biệt phái và men Hêrôđê”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các môn đệ quên mang bánh và chỉ còn một chiếc bánh trong thuyền. Và Chúa Giêsu dặn bảo các ông rằng: “Các con hãy coi chừng và giữ mình cho khỏi men biệt phái và men Hêrôđê”. Các môn đệ nghĩ ngợi và nói với nhau rằng: “Tại mình không có bánh”. Chúa Giêsu biết ý liền bảo rằng: “Sao các con lại nghĩ tại các con không có bánh? Các con chưa hiểu, chưa biết ư? Sao các con tối dạ như thế, có mắt mà không xem, có tai mà không nghe? Khi Thầy bẻ năm chiếc bánh cho năm ngàn người ăn, các con đã thu được bao nhiêu thúng đầy miếng bánh dư, các con không nhớ sao?” Các ông thưa: “Mười hai thúng”. – “Và khi Thầy bẻ bảy chiếc bánh cho bốn ngàn người ăn, các con đã thu được bao nhiêu thúng đầy miếng bánh dư?” Họ thưa: “Bảy thúng”. Bấy giờ Người bảo các ông: “Vậy mà các con vẫn chưa hiểu sao?”","end":"Ðó là lời Chúa"}},
+        "5063": {"firstReading":{"excerpt":"(Năm I) St 8, 6-13. 20-22","info":"“Ông nhìn thấy mặt đất đã khô ráo”.","title":"Trích sách Sáng Thế.","content":"Sau bốn mươi ngày, Noe mở cửa sổ tàu mà thả một con quạ. Nó bay đi bay về cho đến khi nước trên mặt đất khô cạn thì mới không bay về nữa. Sau con quạ, ông cũng thả một con chim bồ câu, để thử coi nước trên mặt đất đã cạn chưa. Nhưng nó không tìm được chỗ đậu, nên trở về với ông trong tàu, vì nước còn đầy khắp mặt đất. Ông giơ tay bắt nó đem vào tàu. Chờ bảy ngày nữa, ông lại thả chim bồ câu ra khỏi tàu. Ðến chiều, nó bay trở về, mỏ ngậm một cành ô liu xanh tươi. Vậy ông Noe hiểu rằng nước trên mặt đất đã khô cạn. Nhưng ông còn đợi thêm bảy ngày nữa, ông thả chim bồ câu ra, và nó không trở về.\rNgày thứ nhất tháng thứ nhất, năm ông Noe được sáu trăm lẻ một tuổi, thì nước trên mặt đất đã rút đi. Noe dỡ mui tàu và nhìn thấy mặt đất đã khô ráo. Noe dựng một bàn thờ tế lễ Chúa; ông bắt các gia súc và chim chóc thanh sạch mà dâng làm của lễ toàn thiêu trên bàn thờ. Thiên Chúa hưởng mùi thơm tho và nói: “Từ nay trở đi, chẳng bao giờ vì cớ nhân loại mà Ta chúc dữ trái đất nữa, vì tâm tình và tư tưởng lòng con người đã nghiêng chiều về đàng trái từ niên thiếu. Vậy Ta sẽ không còn tiêu diệt mọi sinh vật như Ta đã làm. Từ đây, bao lâu còn vũ trụ, thì mùa gieo mùa gặt, giá rét nắng nôi, mùa hạ mùa đông, đêm và ngày vẫn còn tiếp diễn”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 14-15. 18-19","response":"Ðáp: Lạy Chúa, con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ","verses":["Xướng: Con lấy gì dâng lại cho Chúa, để đền đáp những điều Ngài ban tặng cho con? Con sẽ lãnh chén cứu độ, và con sẽ kêu cầu danh Chúa.","Xướng: Con sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài. Trước mặt Chúa thật là quý hoá, cái chết của những bậc thánh nhân Ngài.","Xướng: Con sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài, trong nơi hành lang nhà Chúa, ở giữa lòng ngươi, Giêrusalem hỡi."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 8, 22-26","info":"“Người mù khỏi hẳn và thấy được mọi vật rõ ràng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ đến Bếtsaiđa, người ta dẫn tới Chúa một người mù và xin Chúa đặt tay trên người ấy. Chúa cầm tay người mù, dắt ra khỏi làng, Chúa phun nước miếng vào mắt anh và đặt tay trên anh mà hỏi: “Ngươi có thấy gì không?” Anh nhìn lên và trả lời: “Tôi thấy người ta như những cây cối đang đi”. Chúa lại đặt tay trên mắt người mù, anh liền thấy rõ và khỏi hẳn, thấy được mọi vật rõ ràng. Chúa Giêsu cho người ấy về nhà và căn dặn: “Ngươi hãy về nhà, và nếu có vào làng thì đừng nói với ai”.","end":"Ðó là lời Chúa"}},
+        "5064": {"firstReading":{"excerpt":"(Năm I) St 9, 1-13","info":"“Ta sẽ đặt trên trời một cái mống, và nó sẽ là dấu chỉ giao ước giữa Ta với trái đất”.","title":"Trích sách Sáng Thế.","content":"Thiên Chúa chúc phúc cho Noe và con cái ông. Người phán bảo rằng: “Các ngươi hãy sinh sản ra nhiều cho đầy mặt đất. Mọi thú vật dưới đất, mọi chim chóc trên trời, cùng mọi động vật trên mặt đất và mọi loài cá dưới biển đều phải kính sợ các ngươi: Tất cả đều được giao phó trong tay các ngươi. Tất cả những động vật còn sống đều là thức ăn của các ngươi, cũng như Ta ban cho các ngươi mọi thứ rau đậu xanh tươi, ngoại trừ thịt còn ứ máu thì các ngươi đừng ăn, vì Ta sẽ đòi giá máu sinh mạng của các ngươi. Ta sẽ đòi giá máu các ngươi do muông thú sát hại, do tay con người và do tay anh em sát hại. Hễ ai làm đổ máu người, thì máu nó cũng sẽ phải do người mà đổ ra, vì loài người được tác tạo giống hình ảnh Thiên Chúa. Các ngươi hãy sinh sản ra nhiều cho đầy mặt đất”.\rThiên Chúa lại phán cùng ông Noe và con cái ông rằng: “Ðây Ta ký kết giao ước của Ta với các ngươi và con cháu các ngươi, với tất cả sinh vật đang sống với các ngươi, như chim chóc, gia súc, tất cả những thú vật đang sống trên mặt đất với các ngươi, những gì ra khỏi tàu và toàn thể thú vật trên mặt đất. Ta ký kết giao ước của Ta với các ngươi; nước lụt không còn tiêu diệt mọi loài nữa, cũng không khi nào còn lụt tàn phá trái đất nữa”.\rVà Thiên Chúa phán: “Ðây là dấu chỉ giao ước ký kết giữa Ta với các ngươi, và tất cả sinh vật đang ở với các ngươi và sau này mãi mãi. Ta sẽ đặt trên trời một cái mống, và nó sẽ là dấu chỉ giao ước giữa Ta với trái đất”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 101, 16-18. 19-21. 29 và 22-23","response":"Ðáp: Từ trời cao Chúa đã nhìn xuống trần thế","verses":["Xướng: Lạy Chúa, muôn dân sẽ kính tôn danh thánh Chúa, và mọi vua trên địa cầu sẽ quý trọng vinh quang Ngài, khi Chúa sẽ tái lập Sion. Chúa xuất hiện trong vinh quang xán lạn, Chúa sẽ đoái nghe lời nguyện kẻ túng nghèo, và không chê lời họ kêu van.","Xướng: Những điều này được ghi lại cho thế hệ mai sau, và dân tộc được tác tạo sẽ ca tụng Thiên Chúa. Từ thánh điện cao sang Chúa đã đoái nhìn, từ trời cao Chúa đã nhìn xuống trần thế, để nghe tiếng than khóc của tù nhân, để giải thoát kẻ bị lên án tử.","Xướng: Con cháu của bầy tôi Chúa sẽ được an cư, và miêu duệ chúng sẽ tồn tại trước thiên nhan, để người ta truyền bá danh Chúa tại Sion, và lời khen ngợi Ngài ở Giêrusalem, khi chư dân cùng nhau quy tụ và các vua nhóm họp để phụng thờ Chúa. – Ðáp."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 8, 27-33","info":"“Thầy là Ðấng Kitô. Con Người sẽ phải chịu khổ nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu cùng các môn đệ đi về phía những làng nhỏ miền Cêsarê thuộc quyền Philipphê. Dọc đường, Người hỏi các ông rằng: “Người ta bảo Thầy là ai?” Các ông đáp lại rằng: “Thưa là Gioan tẩy giả. Một số bảo là Êlia, một số khác lại cho là một trong các vị tiên tri”. Bấy giờ Người hỏi: “Còn các con, các con bảo Thầy là ai?” Phêrô lên tiếng đáp: “Thầy là Ðấng Kitô”. Người liền nghiêm cấm các ông không được nói về Người với ai cả. Và Người bắt đầu dạy các ông biết Con Người sẽ phải chịu đau khổ nhiều, sẽ bị các kỳ lão, các trưởng tế, các luật sĩ chối bỏ và giết đi, rồi sau ba ngày sẽ sống lại. Người công khai tuyên bố các điều đó. Bấy giờ Phêrô kéo Người lui ra mà can trách Người. Nhưng Người quay lại nhìn các môn đệ và quở trách Phêrô rằng: “Satan, hãy lui đi, vì ngươi không biết việc Thiên Chúa, mà chỉ biết việc loài người”.","end":"Ðó là lời Chúa"}},
+        "5065": {"firstReading":{"excerpt":"(Năm I)  St 11, 1-9","info":"“Ta hãy xuống coi và tại đó Ta làm cho ngôn ngữ chúng lộn xộn”.","title":"Trích sách Sáng Thế.","content":"Lúc bấy giờ toàn thể lãnh thổ có một tiếng nói duy nhất và một ngôn ngữ như nhau. Khi con cháu ông Noe từ phương đông tiến đi, họ đã gặp một cánh đồng tại đất Sinêar và họ cư ngụ ở đó. Những người này nói với nhau rằng: “Nào, bây giờ chúng ta đi làm gạch và đốt lửa để nung”. Và họ dùng gạch thay thế cho đá và nhựa thay thế cho xi măng. Họ còn nói: “Nào, bây giờ chúng ta hãy xây một thành với một cây tháp mà ngọn nó chạm tới trời. Và chúng ta hãy tạo cho ta một tên tuổi để chúng ta khỏi bị tản lạc ra khắp mặt địa cầu”.\rChúa ngự xuống để quan sát thành trì với cây tháp mà con cái loài người đang xây. Và Chúa phán: “Này coi, chúng nó hợp thành một dân tộc duy nhất và kia là điều chúng đã khởi công. Giờ đây không có gì ngăn cản chúng thi hành điều chúng đã dự tính. Ta hãy xuống coi và tại đó Ta làm cho ngôn ngữ chúng lộn xộn, để người này không còn hiểu tiếng nói của người kia”. Và Chúa đã làm cho họ tản mát xa chỗ đó để tràn ra khắp mặt địa cầu. Họ đã thôi việc xây dựng thành trì. Bởi thế, người ta đã gọi chỗ đó là “Babel”, vì chính tại chỗ đó, Chúa làm cho ngôn ngữ của toàn thể lãnh thổ hoá ra lộn xộn. Và cũng tại đó, Chúa đã làm cho người ta tản mát ra khắp mặt địa cầu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 10-11. 12-13. 14-15","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình","verses":["Xướng: Chúa phá tan ý định của các nước, làm cho vô hiệu tư tưởng của chư dân. Ý định của Chúa tồn tại muôn đời, tư tưởng lòng Ngài còn mãi đời nọ sang đời kia.","Xướng: Phúc thay quốc gia mà Chúa là chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Từ trời cao Chúa nhìn xuống, Ngài xem thấy hết thảy con cái loài người.","Xướng: Từ cung lâu của Ngài, Ngài quan sát hết thảy mọi người cư ngụ địa cầu. Ngài đã tạo thành tâm can bọn họ hết thảy; Ngài quan tâm đến mọi việc làm của họ."]},"alleluia":{"verse":" ","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 8, 34-39","info":"“Ai chịu mất mạng sống mình vì Ta và vì Phúc Âm thì sẽ cứu được mạng sống mình”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu tập họp dân chúng cùng các môn đệ lại, và phán: “Ai muốn theo Ta, hãy từ bỏ mình, vác thập giá mình mà theo Ta. Quả thật, ai muốn cứu mạng sống mình, thì sẽ mất. Còn ai chịu mất mạng sống mình vì Ta và vì Phúc Âm, thì sẽ cứu được mạng sống mình. Vì chưng được lời lãi cả thế gian mà mất mạng sống mình, thì nào được ích gì? Và người ta lấy gì mà đánh đổi mạng sống mình? Ai hổ thẹn vì Ta và vì lời Ta trong thế hệ ngoại tình và tội lỗi này, thì Con Người cũng sẽ hổ thẹn từ khước nó, khi Người đến trong vinh quang của Cha Người cùng với các thần thánh”.\rVà Ngài nói với họ: “Quả thật, Ta bảo các ngươi: trong số những kẻ có mặt đây, có người sẽ không phải nếm cái chết, trước khi thấy Nước Thiên Chúa đến trong quyền năng”.","end":"Ðó là lời Chúa"}},
+        "5066": {"firstReading":{"excerpt":"(Năm I) Dt 11, 1-7","info":"“Nhờ đức tin, chúng tôi hiểu rằng vũ trụ do lời Thiên Chúa mà cấu thành”.","title":"Trích thư gửi tín hữu Do-thái.","content":"Ðức tin là nền tảng của những điều hy vọng, là bằng chứng cho những thực tại vô hình. Quả thật, nhờ đức tin mà các tiền nhân đã được một bằng chứng. Nhờ đức tin, chúng ta hiểu rằng vũ trụ do lời Thiên Chúa mà cấu thành, nên cái gì hữu hình là bởi vô hình mà có. Nhờ đức tin mà Abel đã dâng lên Thiên Chúa của lễ hoàn hảo hơn của lễ Cain, và bởi đức tin mà ông được chứng thực là công chính; Thiên Chúa đã làm chứng cho lễ vật của ông. Bởi đức tin đó, cho dầu ông đã chết, ông vẫn còn lên tiếng. Nhờ đức tin, Henoch được cất lên nơi khác, để ông khỏi thấy sự chết; người ta không còn gặp ông nữa, vì Thiên Chúa đã cất ông lên nơi khác: trước khi được cất đi nơi khác, ông được làm chứng là người đẹp lòng Chúa. Vậy không có đức tin, thì không thể đẹp lòng Chúa, vì chưng ai đến gần Thiên Chúa, thì phải tin có Thiên Chúa, và Người thưởng công cho những kẻ tìm kiếm Người. Nhờ đức tin, Noe được Chúa cho biết những điều chưa hề thấy, nên ông sợ hãi và đóng tàu để cứu sống gia đình ông. Nhờ đức tin đó mà ông đã lên án thế gian, và được nên người thừa hưởng sự công chính bởi đức tin.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 10-11","response":"Ðáp: Lạy Chúa, con sẽ chúc tụng danh Chúa tới muôn đời","verses":["Xướng: Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời. Chúa vĩ đại và rất đáng ngợi khen, sự vĩ đại của Chúa không thể đo lường được.","Xướng: Thế hệ này rao giảng cho thế hệ kia hay công việc Chúa, và thiên hạ loan tin quyền năng của Ngài. Người ta nói đến vinh quang cao cả oai nghiêm, và phổ biến những điều diệu kỳ của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 9, 1-12","info":"“Người biến hình trước mặt các ông”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đưa Phêrô, Giacôbê, và Gioan đi riêng với Người lên núi cao, và Người biến hình trước mặt các ông, và áo Người trở nên chói lọi trắng tinh như tuyết, không thợ giặt nào trên trần gian có thể giặt trắng đến thế. Rồi Êlia cùng Môsê hiện ra và đàm đạo với Chúa Giêsu. Bấy giờ Phêrô lên tiếng thưa Chúa Giêsu rằng: “Lạy Thầy, chúng con được ở đây thì tốt lắm, chúng con xin làm ba lều, một cho Thầy, một cho Môsê, và một cho Êlia”. Phêrô không rõ mình nói gì, vì các ông đều hoảng sợ. Lúc đó một đám mây bao phủ các Ngài, và từ đám mây có tiếng phán rằng: “Ðây là Con Ta rất yêu dấu, các ngươi hãy nghe lời Người”. Bỗng nhìn chung quanh, các ông không còn thấy ai khác, chỉ còn một mình Chúa Giêsu với các ông.\rVà trong lúc từ trên núi đi xuống, Chúa Giêsu ra lệnh cho các ông đừng thuật lại cho ai những điều vừa xem thấy, trước khi Con Người từ cõi chết sống lại. Các ông tuân lời căn dặn đó, nhưng vẫn tự hỏi nhau: “Từ trong cõi chết sống lại nghĩa là gì?” Và các ông hỏi Người: “Tại sao các biệt phái và luật sĩ lại nói Êlia phải đến trước đã?” Người đáp: “Êlia phải đến trước để sửa lại mọi sự, và như có lời chép về Con Người rằng ‘Người phải chịu nhiều đau khổ và khinh bỉ’. Vậy Thầy bảo cho các con hay: Êlia đã đến rồi và chúng xử với người mặc ý chúng, như đã chép về người”.","end":"Ðó là lời Chúa"}}
+    }
+});
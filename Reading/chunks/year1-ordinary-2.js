@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year1-ordinary-2", {
+    "ORDINARY_Y1": {
+        "5071": {"firstReading":{"excerpt":"(Năm I) Hc 1, 1-10","info":"“Sự khôn ngoan được tác tạo trước mọi loài”.","title":"Khởi đầu sách Huấn Ca.","content":"Mọi sự khôn ngoan đều bởi Thiên Chúa, và luôn luôn đã ở với Người và có từ trước muôn thuở.\rAi đếm được cát biển, giọt mưa và số ngày từ muôn đời? Ai đã đo được trời cao, đất rộng và biển sâu? Ai có thể khám phá ra sự khôn ngoan của Thiên Chúa có trước muôn vật?\rSự khôn ngoan được tác tạo trước muôn loài, và trí khôn được dựng nên từ vạn kiếp. Nguồn mạch sự khôn ngoan là lời Thiên Chúa trên các tầng trời, và lối vào sự khôn ngoan là các giới răn vĩnh cửu.\rCăn nguyên sự khôn ngoan được mạc khải cho ai? Ai hiểu biết được mưu toan của sự khôn ngoan? Luật lệ khôn ngoan đã được mạc khải và tiết lộ cho ai? Và ai thấu triệt được trăm ngàn đường lối của nó?\rChỉ có một Ðấng Tối Cao là Ðấng Tạo Thành toàn năng, là Vua uy quyền và rất đáng kính sợ, Người ngự trên toà sự khôn ngoan và là Thiên Chúa thống trị.\rChính Người đã tạo thành sự khôn ngoan trong Thánh Thần, Người đã nhìn xem, tính toán và đo lường. Người đã đặt nó trên mọi công trình của Người, trên mọi sinh linh tuỳ lòng rộng rãi của Người, Người đã phân phát nó cho những ai yêu mến Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","response":"Ðáp: Chúa làm vua, Ngài đã mặc thiên oai","verses":["Xướng: Chúa làm vua, Ngài đã mặc thiên oai, Chúa đã vận uy quyền, Ngài đã thắt long đai.","Xướng: Và Ngài giữ vững địa cầu, nó sẽ không còn lung lay. Ngai báu của Ngài thiết lập từ muôn thuở, từ đời đời vẫn có Chúa.","Xướng: Lời chứng bảo của Ngài rất đáng tin, lạy Chúa, sự thánh thiện là của riêng nhà Ngài, cho tới muôn muôn ngàn thuở."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mc 9, 13-28 (Gr 14-29)","info":"“Lạy Thầy, tôi tin, xin Thầy trợ giúp đức tin hèn kém của tôi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu (từ trên núi xuống) và đến cùng các môn đệ, Người thấy một đám đông vây quanh các ông và những luật sĩ đang tranh luận với các ông.\rVừa thấy Người, tất cả đám đông kinh ngạc, họ sợ hãi và chạy đến chào Người. Và Người hỏi họ rằng: “Các ngươi tranh luận gì với nhau đó?” Một người trong đám đông trả lời rằng: “Lạy Thầy, tôi đem đến cùng Thầy đứa con trai tôi đang bị quỷ câm ám. Quỷ đột nhập vào nó bất kỳ ở đâu thì vật nó ngã xuống đất và nó xùi bọt mép, nghiến răng, cứng đờ ra. Tôi đã xin các môn đệ Thầy trừ quỷ, nhưng họ bất lực”. Người đáp lại: “Hỡi thế hệ cứng lòng tin, Ta còn ở giữa các ngươi đến bao giờ? Ta phải chịu đựng các ngươi đến bao giờ nữa? Ðem nó lại đây cho Ta”. Và người ta đem nó đến.\rVừa thấy Chúa Giêsu, quỷ liền dằn vặt đứa bé dữ dội, đứa bé ngã ra, xùi bọt mép, lăn lộn trên đất. Chúa Giêsu hỏi cha nó rằng: “Nó bị như thế từ bao giờ?” Ông ta đáp: “Thưa từ lúc bé! Quỷ thường xô nó vào lửa, vào nước để giết nó. Nhưng nếu Thầy có thể làm được gì thì xin Thầy thương giúp chúng tôi”. Chúa Giêsu nói với ông: “Sao lại nói: Nếu Thầy có thể? Với kẻ nào tin, thì mọi sự đều có thể được”. Tức thì cha đứa bé khóc lóc kêu lên: “Thưa Thầy tôi tin, xin Thầy trợ giúp lòng tin yếu kém của tôi”. Chúa Giêsu thấy đám đông tuôn đến, Người nạt thần ô uế rằng: “Hỡi thần câm điếc, Ta truyền cho mi: hãy xuất ra khỏi nó và không được nhập vào nó nữa”. Sau khi kêu thét và dằn vật đứa trẻ dữ dội, quỷ xuất khỏi nó và đứa trẻ ra như chết, khiến đám đông nói: “Nó chết rồi”. Nhưng Chúa Giêsu cầm tay nó nâng dậy và nó đứng lên.\rKhi Chúa vào trong nhà, các môn đệ hỏi riêng Người: “Tại sao chúng con lại không thể trừ được nó?” Người đáp: “Loại đó không thể trừ được, nếu không cầu nguyện và ăn chay”.","end":"Ðó là lời Chúa"}},
+        "5072": {"firstReading":{"excerpt":"(Năm I) Hc 2, 1-13","info":"“Hãy chuẩn bị tâm hồn để chịu cám dỗ”.","title":"Trích sách Huấn Ca.","content":"Hỡi con, khi con đến phụng sự Thiên Chúa, con hãy sống công chính và kính sợ, và hãy chuẩn bị tâm hồn để chịu thử thách. Con hãy gìn giữ tâm hồn và chịu đựng. Hãy lắng tai nghe và nhận lấy lời dạy của lương tri; và đừng vội vã trong lúc cùng quẫn.\rCon hãy nương tựa vào sự nâng đỡ của Thiên Chúa và hãy liên kết với Người, và kiên nhẫn để con được thăng tiến trong ngày cuối cùng. Con hãy chấp nhận tất cả những gì xảy đến cho con và hãy kiên trì trong đau khổ, hãy nhẫn nại trong hoàn cảnh thấp hèn: vì vàng bạc được thử trong lửa, còn những người được Chúa chọn, thì được thử trong khổ nhục. Con hãy tin vào Thiên Chúa, và Người sẽ nâng đỡ con; hãy cứ thẳng đường và hy vọng vào Người. Con hãy kính sợ Người và bền vững mãi như thế.\rHỡi những kẻ kính sợ Chúa, hãy trông đợi lòng từ bi của Người, Các ngươi đừng rời xa Người kẻo phải sa ngã. Các ngươi là kẻ kính sợ Chúa, hãy tin vào Người và phần thưởng của các ngươi sẽ không mất đâu. Các ngươi là những kẻ kính sợ Chúa, hãy trông cậy vào Người, thì người sẽ lấy lòng từ bi ban thưởng cho các ngươi được hân hoan. Các ngươi là những kẻ kính sợ Chúa, hãy yêu mến Người, và lòng các ngươi sẽ được chiếu sáng.\rHỡi các con, hãy ngắm nhìn các dân thiên hạ, và hãy biết rằng không ai trông cậy vào Chúa mà phải hổ thẹn. Vì có ai sống trong giới răn của Người mà bị ruồng bỏ đâu? Hoặc có ai kêu cầu Người mà Người chê chối đâu? Vì Thiên Chúa khoan hậu và nhân từ, và trong ngày nguy khốn, Người tha thứ tội lỗi; Người là Ðấng bênh vực tất cả những kẻ tìm kiếm Người trong chân lý.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 36, 3-4. 18-19. 27-28. 39-40.","response":"Ðáp: Bạn hãy phó thác đường lối mình cho Chúa, và để chính Người hành động","verses":["Xướng: Hãy trông cậy vào Chúa và hãy làm lành, để được cư ngụ trong đất nước, thọ hưởng an ninh. Hãy hân hoan tin tưởng vào Chúa, Người sẽ ban cho sự lòng bạn thỉnh cầu.","Xướng: Chúa chăm lo cho mạng sống người nhân đức, và phần gia nghiệp họ còn mãi muôn đời. Ngày tai hoạ, những người đó không tủi hổ, và trong nạn đói, họ sẽ được ăn no.","Xướng: Hãy tránh ác và hãy làm lành, hầu được an cư tới ngàn thu: bởi vì Thiên Chúa yêu điều chân lý, và không bỏ rơi những tôi tớ trung thành.","Xướng: Người hiền được Chúa ban ơn cứu độ, trong cơn khốn khó, Người là chỗ dung thân, Chúa bang trợ và giải thoát họ. Người giải thoát và cứu họ khỏi lũ ác nhân, vì họ đã nương tựa vào Người."]},"alleluia":{"verse":" ","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 9, 29-36 (Hl 30-37)","info":"“Con Người sẽ bị nộp. Ai muốn làm lớn nhất, thì hãy tự làm người rốt hết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ từ trên núi xuống, rồi đi ngang qua xứ Galilêa và Người không muốn cho ai biết. Vì Người dạy dỗ và bảo các ông rằng: “Con Người sẽ bị nộp vào tay người ta và họ sẽ giết Người. Khi đã bị giết, ngày thứ ba, Người sẽ sống lại”. Nhưng các ông không hiểu lời đó và sợ không dám hỏi Người.\rCác ngài tới Capharnaum. Khi đã vào nhà, Người hỏi các ông: “Dọc đàng các con tranh luận gì thế?” Các ông làm thinh, vì dọc đàng các ông tranh luận xem ai là người lớn nhất.\rBấy giờ Người ngồi xuống, gọi mười hai ông lại và bảo các ông rằng: “Ai muốn làm lớn nhất, thì hãy tự làm người rốt hết và làm đầy tớ mọi người”. Và Người đem một em bé lại đặt giữa các ông, rồi ôm nó mà nói với các ông rằng: “Ai đón nhận một trong những trẻ nhỏ như thế này vì danh Thầy, tức là đón tiếp chính mình Thầy. Và ai đón tiếp Thầy, thực ra không phải đón tiếp Thầy, nhưng là đón tiếp Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},
+        "5073": {"firstReading":{"excerpt":"(Năm I) Hc 4, 12-22 (Gr 11-19)","info":"“Ai yêu mến sự khôn ngoan, sẽ được Thiên Chúa yêu mến”.","title":"Trích sách Huấn Ca.","content":"Sự khôn ngoan truyền sinh khí cho con cái mình, đón nhận những ai tìm mình và dẫn đường công chính. Ai yêu mến sự khôn ngoan thì yêu mến sự sống. Ai tỉnh thức đón chờ nó, thì sẽ được vui thoả. Ai chiếm được nó, sẽ được hưởng sự sống. Nó vào nơi nào, thì Thiên Chúa chúc phúc nơi đó. Ai phụng sự nó, là phụng sự Ðấng Thánh. Ai yêu mến nó, sẽ được Thiên Chúa mến yêu. Ai nghe nó, sẽ xét xử các dân tộc. Ai chăm chú nhìn nó, sẽ luôn luôn vững tâm. Ai tin tưởng nó, sẽ được nó làm gia nghiệp, và dòng dõi kẻ ấy sẽ được vững bền.\rBởi chưng sự khôn ngoan sống với kẻ ấy trong cơn thử thách và tuyển chọn kẻ ấy trước hết mọi người. Nó sẽ đổ xuống trên kẻ ấy sự kính sợ và thử thách, sẽ dùng giáo lý mà sửa dậy và rèn tập kẻ ấy trong sự gian nan, cho đến khi nắm chắc được tư tưởng của kẻ ấy, và tín nhiệm kẻ ấy. Sự khôn ngoan sẽ cho kẻ ấy được bền vững, dọn đường ngay thẳng cho kẻ ấy và làm cho kẻ ấy được vui mừng. Sự khôn ngoan sẽ mạc khải cho kẻ ấy biết những bí mật của mình, sẽ ban cho kẻ ấy kho tàng sự hiểu biết công chính. Nếu kẻ ấy cố chấp lầm đường, sự khôn ngoan sẽ bỏ rơi và trao phó kẻ ấy trong tay quân thù.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 165. 168. 171. 172. 174. 175.","response":"Ðáp: Lạy Chúa, đại bình an cho những ai yêu luật pháp Chúa (c. 165a).","verses":["Xướng: Ðại bình an cho những ai yêu luật pháp Chúa, không có gì làm cớ cho họ sẩy chân. – Ðáp.","Xướng: Con tuân giữ huấn lệnh và những lời truyền của Chúa, vì bao đường lối của con hiện ở trước nhan Ngài. – Ðáp.","Xướng: Môi con sẽ xướng lên những bài ca ngợi, vì Chúa đã dạy con các thánh chỉ của Ngài. – Ðáp.","Xướng: Lưỡi con sẽ ca ngợi lời sấm của Chúa, vì bao chỉ thị của Chúa đều công minh. – Ðáp.","Xướng: Lạy Chúa, con mong ơn Ngài cứu độ, và luật pháp Ngài là sự hoan lạc của con. – Ðáp.","Xướng: Nguyện cho hồn con được sống để khen ngợi Chúa, và xin các sắc dụ của Chúa phù trợ cho con! – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 9, 37-39 (Gr 38-40)","info":"“Ai không chống đối các con, là ủng hộ các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Gioan thưa cùng Chúa Giêsu rằng: “Lạy Thầy, chúng con thấy có kẻ nhân danh Thầy mà trừ quỷ, kẻ đó không theo ta, và chúng con đã ngăn cấm y”. Nhưng Chúa Giêsu phán: “Ðừng ngăn cấm y, vì chẳng ai có thể nhân danh Thầy mà làm phép lạ, rồi liền đó lại nói xấu Thầy. Ai chẳng chống đối các con, là ủng hộ các con”.","end":"Ðó là lời Chúa"}},
+        "5074": {"firstReading":{"excerpt":"(Năm I) Hc 5, 1-10 (Gr 1-8)","info":"“Ngươi hãy mau mau quay về với Chúa”.","title":"Trích sách Huấn Ca.","content":"Ngươi đừng cậy vào gia sản bất chính và đừng nói: “Ðời sống của tôi thật là đầy đủ”. Vì chưng trong thời báo oán trả ân, cái đó có ích gì? Khi còn mạnh khoẻ, chớ chạy theo đam mê của lòng ngươi và đừng nói: “Ai làm gì được tôi?”, hoặc “Trong các việc tôi làm, ai có thể bắt tôi suy phục được?” Bởi vì chắc chắn Thiên Chúa sẽ báo oán ngươi. Ngươi đừng nói rằng: “Tôi đã phạm tội, nào có sao đâu?” Ðấng Tối Cao là Ðấng xét xử nhẫn nại. Ngươi chớ yên tâm về tội đã được tha, để rồi chồng chất tội này trên tội nọ. Và ngươi cũng đừng nói: “Lòng nhân từ của Chúa thật lớn lao, Người thứ tha muôn vàn tội lỗi của tôi”, vì lòng nhân từ và cơn thịnh nộ rất gần nhau, và cơn thịnh nộ của Người đè nặng trên những kẻ tội lỗi. Ngươi hãy mau mau quay về với Chúa và đừng lần lựa rày mai; vì cơn thịnh nộ của Người sẽ đến bất ưng và huỷ diệt ngươi trong thời báo oán. Ngươi đừng ỷ lại vào những của bất chính, vì chưng trong thời báo oán trả ân, nó sẽ chẳng ích gì cho ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Phúc thay người đặt niềm tin cậy vào Chúa","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối của tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy; họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 9, 40-49 (Gr 41-50)","info":"“Thà con mất một tay mà được vào cõi sống, còn hơn đủ cả hai tay mà phải vào hoả ngục”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ai cho các con (uống) một ly nước vì lẽ các con thuộc về Ðấng Kitô, thật Thầy bảo các con: kẻ đó sẽ không mất phần thưởng đâu. Nhưng nếu kẻ nào làm cớ vấp phạm cho một trong những kẻ bé mọn có lòng tin Thầy, thà buộc thớt cối xay vào cổ người ấy mà xô xuống biển thì hơn.\r“Nếu tay con nên dịp tội cho con, hãy chặt tay đó đi: thà con mất một tay mà được vào cõi sống, còn hơn là có đủ hai tay mà phải vào hoả ngục, trong lửa không hề tắt. Và nếu chân con làm dịp tội cho con, hãy chặt chân đó đi: thà con mất một chân mà được vào cõi sống, còn hơn là có đủ hai chân mà phải ném xuống hoả ngục. Và nếu mắt con làm dịp tội cho con, hãy móc mắt đó đi, thà con còn một mắt mà vào nước Thiên Chúa, còn hơn là có đủ hai mắt mà phải ném xuống hoả ngục, nơi mà dòi bọ rúc rỉa nó không hề chết và lửa không hề tắt. Vì mọi người sẽ bị ướp bằng lửa.\r“Muối là vật tốt, nhưng nếu muối ra lạt, các con lấy gì mà ướp nó cho mặn lại được? Các con hãy có muối ở trong mình và sống hoà thuận với nhau”.","end":"Ðó là lời Chúa"}},
+        "5075": {"firstReading":{"excerpt":"(Năm I) Hc 6, 5-17","info":"“Không gì sánh được với người bạn trung thành”.","title":"Trích sách Huấn Ca.","content":"Lời nói ngọt ngào gia tăng số bạn hữu và thoa dịu những kẻ thù; lưỡi êm dịu nơi người hiền tăng thêm hoà khí.\rNgươi nên có nhiều bạn hữu, nhưng chỉ nên chọn một trong ngàn người làm cố vấn.\rNếu ngươi có được người bạn hữu, hãy thử thách rồi hãy nhận, và đừng dễ dàng tin tưởng người đó. Vì có thứ bạn hữu chỉ thân trong lúc vận hên và không trung thành trong cơn khốn khó. Có thứ bạn hữu sau trở thành thù địch. Có thứ bạn hữu tiết lộ những chuyện oán thù, tranh chấp và ghen tương của ngươi. Có thứ bạn hữu chỉ thân lúc ở bàn ăn, gặp lúc gian truân không nhìn thấy bóng. Có thứ bạn hữu khi được thâu nhận sẽ trở thành bình đẳng với ngươi, vì tự do hành động trong những điều thuộc nội bộ nhà ngươi. Nếu ngươi bị người ta hạ nhục, hắn sẽ phản lại ngươi, và hắn sẽ xa tránh mặt ngươi. Ngươi hãy xa lánh kẻ thù và hãy đề phòng với bạn hữu.\rNgười bạn trung thành là chỗ dung thân vững chắc. Ai gặp được người bạn hữu như thế, là gặp được kho báu. Không có gì sánh được với người bạn trung thành, không số lượng vàng bạc nào có thể cân nặng hơn lòng trung tín tốt lành của người bạn đó. Người bạn hữu trung thành là liều thuốc trường sinh bất tử. Những ai kính sợ Chúa, sẽ gặp được người bạn đó. Ai kính sợ Chúa, người đó cũng có tình bạn tốt, vì người bạn hữu của người đó sẽ giống như người đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 12. 16. 18. 27. 34. 35.","response":"Ðáp: Lạy Chúa, xin hướng dẫn con vào đường lối chỉ thị Ngài","verses":["Xướng: Thân lạy Chúa, Ngài muôn phúc đức, xin dạy con các thánh chỉ của Ngài.","Xướng: Con lấy thánh chỉ Ngài làm hoan lạc, và lời Ngài dạy, con chẳng dám quên.","Xướng: Xin mở rộng tầm con mắt của con, để quan chiêm những điều kỳ diệu trong luật Chúa.","Xướng: Xin cho con am hiểu đường lối huấn lệnh của Chúa, để con suy gẫm các điều kỳ diệu của Ngài.","Xướng: Xin dạy con, để con vâng theo luật pháp Ngài, và để con hết lòng tuân giữ luật đó.","Xướng: Xin hướng dẫn con vào đường lối chỉ thị Ngài, vì chính trong đường lối này con sung sướng."]},"alleluia":{"verse":" ","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 10, 1-12","info":"“Sự gì Thiên Chúa đã kết hợp, loài người không được phân rẽ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đến địa hạt xứ Giuđêa và miền bên kia sông Giođan. Dân chúng lại tụ họp bên Người và Người lại dạy dỗ họ như thường lệ. Những người biệt phát đến gần và hỏi thử Người rằng: “Người ta có được phép ly dị vợ mình chăng?” Người đáp: “Môsê đã truyền cho các ông thế nào?” Họ thưa: “Môsê cho phép làm giấy ly dị và cho ly dị”. Bấy giờ Chúa Giêsu đáp lại: “Chính vì sự cứng lòng của các ông mà Môsê đã viết ra điều luật đó. Nhưng lúc khởi đầu cuộc sáng tạo, Thiên Chúa đã dựng nên một người nam và một người nữ. Bởi đó người nam sẽ lìa cha mẹ để luyến ái vợ mình, và hai người sẽ nên một huyết nhục. Vì thế, họ không còn là hai mà là một huyết nhục. Vậy sự gì Thiên Chúa đã kết hợp, loài người không thể phân rẽ”.\rVề đến nhà, các môn đệ lại hỏi Người về điểm đó. Và Người bảo các ông: “Ai bỏ vợ mình và lấy vợ khác, thì phạm tội ngoại tình đối với người vợ trước. Và người nữ bỏ chồng mà lấy chồng khác, thì cũng phạm tội ngoại tình”.","end":"Ðó là lời Chúa"}},
+        "5076": {"firstReading":{"excerpt":"(Năm I) Hc 17, 1-13","info":"“Thiên Chúa tạo dựng con người giống hình ảnh Chúa”.","title":"Trích sách Huấn Ca.","content":"Thiên Chúa dùng đất mà dựng nên con người và tạo tác con người theo hình ảnh của Chúa. Người lại làm cho nó trở nên hình ảnh Chúa và ban cho nó được quyền hành như Người đã có. Người cũng ban cho nó số ngày và thời gian, ban cho quyền hành trên trần gian. Người bắt mọi loài phải kính sợ nó, và cho nó thống trị các thú dữ chim trời. Rồi từ đó, Người tạo dựng một nội trợ giống như nó, Người cũng ban cho cả hai có trí, lưỡi, mắt, mũi và tâm hồn để suy tưởng, cho họ đầy sự hiểu biết và trí năng. Người tạo cho họ trí thông minh và cho lòng họ biết cảm giác, chỉ cho họ biết phân biệt lành dữ. Người đặt mắt Người vào lòng họ, chỉ cho họ thấy sự huy hoàng các công trình của Người, để họ ca tụng thánh danh Người, và họ được vinh hiển trong những việc lạ lùng của Người, hầu họ cao rao sự vĩ đại của những kỳ công Người. Người ban thêm cho họ sự thông minh và cho họ thừa hưởng luật trường sinh. Người thiết lập với họ một giao ước vĩnh cửu, chỉ cho họ biết công minh thẩm phán. Và mắt họ đã nhìn thấy sự huy hoàng vinh hiển của Người, tai họ đã nghe tiếng Người. Rồi Chúa phán với họ: “Các ngươi hãy lánh xa mọi gian ác”. Và Người truyền cho mỗi người trong họ biết những giới răn liên quan đến tha nhân. Ðường lối của họ luôn luôn ở trước mặt Chúa và không hề ẩn náu khỏi mắt Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 13-14. 15-16. 17-18a.","response":"Ðáp: Lòng yêu thương của Chúa vẫn còn tồn tại, tự thuở này tới thuở kia cho những ai kính sợ Người.","verses":["Xướng: Cũng như người cha yêu thương con cái, Chúa yêu thương những ai kính sợ Người. Người hiểu biết chỗ gây hình của chúng ta, Người nhớ rằng tro bụi là chính chúng ta!","Xướng: Thân con người, cuộc đời như nắm cỏ, như bông hoa ngoài đồng nội, nó nở ra. Một cơn gió vừa lướt trên hoa, hoa không còn nữa, không ai còn nhận thấy chỗ ở của hoa!","Xướng: Nhưng lòng yêu thương của Chúa vẫn còn tồn tại, tự thuở này tới thuở kia cho những ai kính sợ Người, và đức công minh Chúa còn dành để cho con cháu họ, cho những ai giữ lời minh ước của Người."]},"alleluia":{"verse":" ","content":"Alleluia, alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết. – Alleluia."},"gospel":{"excerpt":"Mc 10, 13-16","info":"“Ai không đón nhận nước Thiên Chúa như trẻ nhỏ, sẽ không được vào nước đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, người ta đưa những trẻ nhỏ đến cùng Chúa Giêsu để Người đặt tay trên chúng, nhưng các môn đệ khiển trách họ. Thấy vậy, Chúa Giêsu bất bình và bảo các ông rằng: “Hãy để các trẻ nhỏ đến cùng Thầy, đừng ngăn cản chúng, vì nước Thiên Chúa là của những người giống như chúng. Thầy bảo thật các con: Ai không đón nhận nước Thiên Chúa như trẻ nhỏ, sẽ không được vào nước đó”. Rồi Người ôm chúng, đặt tay ban phép lành cho chúng.","end":"Ðó là lời Chúa"}},
+        "5081": {"firstReading":{"excerpt":"(Năm I) Hc 17, 20-28 (Gr 24-29)","info":"“Hãy trở về với Thiên Chúa và hãy nhận biết công minh của Người”.","title":"Trích sách Huấn Ca.","content":"Thiên Chúa đã ban đường công chính cho người sám hối, nâng đỡ những kẻ mất niềm tin, và hướng dẫn họ đi vào đường chân lý.\rHãy trở về với Thiên Chúa và hãy từ bỏ tội lỗi. Hãy kêu cầu trước tôn nhan Chúa, hãy chấm dứt những điều xúc phạm, hãy trở về cùng Chúa, hãy lánh xa những điều gian ác, và hãy chê ghét những điều xấu xa. Hãy nhận biết công minh và sự xét xử của Thiên Chúa. Hãy đứng vững và cầu xin với Thiên Chúa Tối Cao.\rHãy thông công vào đời sống các thánh, và cùng với kẻ sống hãy xưng tụng Thiên Chúa. Ðừng ỷ lại vào sự sai lầm của bọn gian ác. Hãy thú nhận tội lỗi trước khi chết, vì chết rồi, thì không còn thú tội được nữa. Ngươi hãy thú nhận tội lỗi khi còn sống, hãy thú nhận tội lỗi khi còn sống và còn khoẻ mạnh.\rHãy ca tụng Thiên Chúa và ngươi sẽ được vinh hiển trong tình xót thương của Người. Lòng nhân lành của Chúa và sự tha thứ của Người đối với những kẻ trở lại với Người thật lớn lao dường nào!","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 31, 1-2. 5. 6. 7","response":"Ðáp: Chư vị hiền nhân, hãy vui mừng hân hoan trong Chúa","verses":["Xướng: Phúc thay người được tha thứ lỗi lầm, và tội phạm của người được ơn che đậy. Phúc thay người mà Chúa không trách cứ lỗi lầm, và trong lòng người đó chẳng có mưu gian.","Xướng: Tôi xưng ra cùng Chúa tội phạm của tôi, và lỗi lầm của tôi, tôi đã không che giấu. Tôi nói: “Tôi thú thực cùng Chúa điều gian ác của tôi, và Chúa đã tha thứ tội lỗi cho tôi”.","Xướng: Bởi thế nên mọi người tín hữu sẽ nguyện cầu cùng Chúa, trong thời buổi khốn khó gian truân. Khi sóng cả ba đào ập tới, chúng sẽ không hại nổi những người này.","Xướng: Chúa là chỗ dung thân, Chúa giữ tôi khỏi điều nguy khổ; Chúa đùm bọc tôi trong niềm vui ơn cứu độ."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin hãy phán vì tôi tớ Chúa đang nghe; Chúa có lời ban sự sống đời đời. – Alleluia.  (Hoặc đọc:) Alleluia, alleluia! – Đức Giê-su Ki-tô vốn giàu sang phú quý, nhưng đã trở nên khó nghèo, để lấy cái nghèo của mình mà làm cho anh em trở nên giàu có. – Alleluia"},"gospel":{"excerpt":"Mc 10, 17-27","info":"“Ngươi hãy đi bán tất cả gia tài rồi đến theo Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu vừa lên đường, thì một người chạy lại, quỳ gối xuống trước Người và hỏi: “Lạy Thầy nhân lành, tôi phải làm gì để được sống đời đời?” Chúa Giêsu trả lời: “Sao ngươi gọi Ta là nhân lành? Chẳng có ai là nhân lành, trừ một mình Thiên Chúa. Ngươi đã biết các giới răn: đừng ngoại tình, đừng giết người, đừng trộm cắp, đừng làm chứng gian, đừng lường gạt, hãy thảo kính cha mẹ”. Người ấy thưa: “Lạy Thầy, những điều đó tôi đã giữ từ thuở nhỏ”. Bấy giờ Chúa Giêsu chăm chú nhìn người ấy và đem lòng thương mà bảo rằng: “Ngươi chỉ còn thiếu một điều là ngươi hãy đi bán tất cả gia tài, đem bố thí cho người nghèo khó và ngươi sẽ có một kho báu trên trời, rồi đến theo Ta”. Nhưng người ấy nghe những lời đó, thì sụ nét mặt và buồn rầu bỏ đi, vì anh ta có nhiều của cải. Lúc đó Chúa Giêsu nhìn chung quanh, và bảo các môn đệ rằng: “Những người giàu có vào nước Thiên Chúa khó biết bao”. Các môn đệ kinh ngạc vì những lời đó. Nhưng Chúa Giêsu lại nói tiếp và bảo các ông rằng: “Hỡi các con, những kẻ cậy dựa vào tiền bạc, thật khó mà vào nước Thiên Chúa biết bao. Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào nước Thiên Chúa”.\rCác ông càng kinh ngạc hỏi nhau rằng: “Như vậy thì ai có thể được cứu độ?” Chúa Giêsu chăm chú nhìn các ông, và nói: “Ðối với loài người thì không thể được, nhưng không phải đối với Thiên Chúa, vì Thiên Chúa làm được mọi sự”.","end":"Ðó là lời Chúa"}},
+        "5082": {"firstReading":{"excerpt":"(Năm I) Hc 35, 1-15 (Gr 1-12)","info":"“Chuyên giữ các điều răn là dâng của lễ hy tế cứu độ”.","title":"Trích sách Huấn Ca.","content":"Ai tuân giữ lề luật, là dâng nhiều lễ vật. Chuyên giữ các điều răn và xa lánh mọi điều gian ác, là dâng lễ hy tế cứu độ.\rHãy dâng của lễ xin ơn tha thứ cho những bất công, hãy cầu nguyện xin ơn tha tội, và hãy xa lánh những điều gian tà.\rAi thực thi bác ái, là hiến dâng của lễ hoàn hảo; ai làm phúc bố thí, là dâng của lễ hy tế.\rÐiều làm đẹp lòng Chúa là xa lánh gian ác. Lánh xa bất công là dâng của lễ đền tội.\rNgươi đừng đến trước mặt Chúa với bàn tay không; vì tất cả những điều đó là do mệnh lệnh của Thiên Chúa. Của lễ người công chính làm cho bàn thờ nên phong phú, và hương thơm êm dịu của nó bay lên trước dung nhan Ðấng Tối Cao. Lễ vật hiến tế của người công chính đã được chấp nhận, và Chúa sẽ không quên kẻ ấy. Ngươi hãy tôn vinh Thiên Chúa với tâm hồn quảng đại, và đừng rút bớt lại của lễ đầu mùa do công lao tay ngươi làm ra.\rMỗi lần ngươi dâng của lễ, nét mặt ngươi hãy vui tươi, và hãy hân hoan thánh hiến một phần mười của ngươi dâng. Ngươi hãy dâng lên Ðấng Tối Cao tuỳ theo như Người đã ban cho ngươi, và hãy dâng với tâm hồn quảng đại theo sự ngươi đang có trong tay, vì Chúa là Ðấng thưởng công và sẽ trả lại cho ngươi gấp bảy lần. Ngươi chớ dâng những lễ vật hèn kém, vì Người sẽ không nhận của lễ như vậy đâu, ngươi cũng đừng trông gì nơi những của lễ bất chính, vì Chúa là Ðấng xét xử, Người không thiên vị ai đâu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 5-6. 7-8. 14 và 23","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ","verses":["Xướng: “Hãy tập họp cho Ta các tín đồ đã ký lời giao ước của Ta cùng hy sinh lễ”. Và trời cao sẽ loan truyền sự công chính của Người, vì chính Thiên Chúa, Người là thẩm phán.","Xướng:Hỡi dân tộc của Ta, hãy nghe Ta nói, hỡi Israel, Ta sẽ chứng tỏ lời phản đối ngươi: Ta là Thiên Chúa, Ðức Thiên Chúa của ngươi. Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn.","Xướng: Hãy hiến dâng Thiên Chúa lời khen ngợi, và làm trọn điều khấn hứa cùng Ðấng Tối Cao. Ai hiến dâng lời khen ngợi, người đó trọng kính Ta, ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ."]},"alleluia":{"verse":" ","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 10, 28-31","info":"“Ngay ở đời này, lúc bị bắt bớ, các con lãnh được gấp trăm, còn đời sau các con sẽ được sự sống vĩnh cửu”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Phêrô thưa cùng Chúa Giêsu rằng: “Ðây chúng con đã bỏ mọi sự mà theo Thầy?” Chúa Giêsu trả lời rằng: “Thầy bảo thật các con, chẳng ai bỏ nhà cửa, anh em, chị em, cha mẹ, con cái, đồng ruộng vì Thầy và vì Phúc Âm, mà ngay bây giờ lại không được gấp trăm ở đời này về nhà cửa, anh em, chị em, cha mẹ, con cái và ruộng nương cùng với sự bắt bớ, và ở đời sau được sự sống vĩnh cửu. Nhưng có nhiều kẻ trước nhất sẽ nên rốt hết, và những kẻ rốt hết sẽ nên trước nhất”.","end":"Ðó là lời Chúa"}},
+        "5083": {"firstReading":{"excerpt":"(Năm I) Hc 36, 1-2a. 5-6. 13-19","info":"“Các dân tộc nhận biết rằng không có chúa nào khác ngoài Chúa”.","title":"Trích sách Huấn Ca.","content":"Lạy Chúa muôn loài, xin thương xót chúng con, và xin đoái nhìn chúng con, xin hãy tỏ cho chúng con ánh sáng lòng từ bi của Chúa. Xin cho các dân tộc nhận biết Chúa như chính chúng con đã nhận biết Chúa, vì lạy Chúa, ngoài Chúa ra, không có Chúa nào khác.\rXin Chúa tái diễn các điềm lạ và làm các việc kỳ diệu khác. Xin Chúa quy tụ mọi người vào các chi họ Giacóp, để họ nhìn biết rằng không có Chúa nào khác ngoài Chúa, để họ cao rao các việc lạ lùng Chúa đã làm, và để Chúa cho họ được hưởng phần gia nghiệp như lúc ban đầu. Xin Chúa đoái thương đến dân Chúa, một dân được mang danh thánh Chúa, và xin thương đến Israel mà Chúa đã đặt làm con đầu lòng của Chúa. Xin cũng thương đến thành thánh Giêrusalem, nơi Chúa an ngự. Xin làm cho Sion vang dậy lời chúc tụng Chúa, và cho dân Chúa được đầy vinh quang của Ngài.\rXin Chúa hãy minh chứng cho dân tộc, tạo vật đầu tiên của Chúa và xin thực hiện những điều các tiên tri đầu tiên đã nhân danh Chúa mà tiên báo. Xin thưởng công cho những người đã trông cậy nơi Ngài, và xin cho các tiên tri của Chúa được trung trực.\rXin nhậm lời cầu nguyện của các tôi tớ Chúa, theo như lời Aaron chúc phúc cho dân Ngài, xin hướng dẫn chúng con đi trên đường công chính, và xin cho mọi người sống trên trần gian biết rằng Ngài là Thiên Chúa, Ðấng thống trị muôn đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 78, 8. 9. 11. 13","response":"Ðáp: Lạy Chúa, xin hãy tỏ cho chúng con ánh sáng lòng từ bi của Chúa (Hc 36, 1b).","verses":["Xướng: Xin đừng nhớ lỗi tiền nhân để trị chúng con, xin kíp mở lòng từ bi đón nhận chúng con, vì chúng con lầm than quá đỗi!","Xướng: Ôi Thiên Chúa, Ðấng cứu độ chúng con, xin phù trợ chúng con vì vinh quang danh Chúa, xin giải thoát và tha tội chúng con vì danh Ngài.","Xướng: Xin cho tiếng tù binh rên siết vọng tới thiên nhan; xin ra tay thần lực giải thoát người mang án tử.","Xướng: Phần chúng con là thần dân Chúa, là đoàn chiên Chúa chăn nuôi, chúng con sẽ ca tụng Chúa tới muôn đời, đời nọ sang đời kia, chúng con loan truyền lời ca khen Chúa."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! – Con Người đến để phục vụ và hiến mạng sống làm giá chuộc muôn người. – Alleluia."},"gospel":{"excerpt":"Mc 10, 32-45","info":"“Giờ đây chúng ta lên Giêrusalem và Con Người sẽ bị nộp”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các môn đệ và Chúa Giêsu lên đường đi Giêrusalem, Chúa Giêsu dẫn đầu đi trước họ, và các ông hết sức bỡ ngỡ, những người theo sau thì sợ hãi. Người gọi mười hai ông lại gần và nói cho các ông biết những gì sẽ xảy đến cho Người: “Giờ đây chúng ta lên Giêrusalem và Con Người sẽ bị nộp cho các thượng tế, các luật sĩ và các kỳ lão. Họ sẽ kết án tử hình Người và nộp Người cho dân ngoại. Họ sẽ nhạo cười Người, phỉ nhổ vào Người, đánh đòn và giết Người, và ngày thứ ba Người sẽ sống lại”.\rGiacôbê và Gioan, con ông Giêbêđê, đến gần Người và thưa Người rằng: “Lạy Thầy, chúng con muốn Thầy ban cho chúng con điều chúng con sắp xin Thầy”. Người đáp: “Các con muốn Thầy làm gì cho các con?” Các ông thưa: “Xin cho chúng con một người ngồi bên hữu, một người ngồi bên tả Thầy trong vinh quang của Thầy”. Chúa Giêsu bảo: “Các con không biết các con xin gì. Các con có thể uống chén Thầy sắp uống và chịu cùng một phép rửa Thầy sắp chịu không?” Các ông đáp: “Thưa được”. Chúa Giêsu bảo: “Chén Thầy uống, các con cũng sẽ uống, và phép rửa Thầy sắp chịu, các con cũng sẽ chịu. Còn việc ngồi bên hữu hay bên tả Thầy, thì không thuộc quyền Thầy ban, nhưng là dành cho những ai đã được chỉ định”. Mười môn đệ khác nghe chuyện đó liền bực tức với Giacôbê và Gioan. Chúa Giêsu gọi các ông lại gần mà bảo: “Các con biết rằng những người được coi là lãnh tụ các nước thì sai khiến dân chúng như ông chủ, và những người làm lớn thì lấy uy quyền mà trị dân. Còn các con không như thế. Trái lại, ai trong các con muốn làm lớn, thì hãy tự làm đầy tớ anh em. Và ai muốn thành người cầm đầu trong các con, thì hãy tự làm nô lệ cho mọi người. Vì chính Con Người cũng không đến để được phục vụ, nhưng để phục vụ và ban mạng sống mình làm giá cứu chuộc cho nhiều người”.","end":"Ðó là lời Chúa"}},
+        "5084": {"firstReading":{"excerpt":"(Năm I) Hc 42, 15-26","info":"“Các công trình của Chúa đầy ánh vinh quang của Người”.","title":"Trích sách Huấn Ca.","content":"Tôi sẽ ghi nhớ công trình của Chúa, và sẽ thuật lại những điều tôi đã thấy. Nhờ lời Chúa mà Chúa đã thực hiện những kỳ công. Mặt trời chiếu soi vạn vật, và công trình của Chúa đầy ánh vinh quang của Người.\rNào Chúa đã không ban cho các thánh được cao rao các việc kỳ diệu của Người, những việc mà Chúa toàn năng đã củng cố trong vinh quang của Người sao?\rNgười dò xét vực thẳm và lòng con người, thấu biết những mưu chước của họ, vì Chúa thấu suốt mọi sự và theo dõi những dấu thời đại, tuyên bố những gì thuộc về dĩ vãng và hậu lai, tỏ bày những dấu vết các việc ẩn kín. Không một tư tưởng nào mà Người không biết, không một lời nào có thể giấu được Người.\rNgười sắp đặt những kỳ công sự khôn ngoan của Người. Người có trước muôn đời và tồn tại muôn thuở, không thêm không bớt, không cần đến vị cố vấn nào. Mọi công trình của Người thực đáng quý chuộng, và như những ánh lửa người ta có thể ngắm nhìn. Mọi vật ấy đều sống động và tồn tại muôn đời, và vâng phục Người trong mọi hoàn cảnh. Tất cả đều có từng đôi và cái này đối diện với cái nọ, và Người không làm chi khuyết điểm. Vật này làm nổi bật vẻ đẹp cho vật kia. Và ai có thể nhàm chán nhìn xem vinh quang của Người?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Do lời Chúa mà trời xanh được tạo thành (c. 6a).","verses":["Xướng: Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa. Hãy ca mừng Người bài ca mới, hát mừng Người với tiếng râm ran.","Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng của Chúa.","Xướng: Do lời Chúa mà trời xanh được tạo thành, và mọi cơ binh chúng đều do hơi thở miệng Người. Chúa thu nước biển lại như để trong bầu, Người đặt những ngọn sóng trong kho chứa đựng.","Xướng: Toàn thể địa cầu hãy tôn sợ Chúa, mọi người sống trong vũ trụ hãy kính nể Người. Vì chính Người phán dạy mà chúng được tạo thành, chính Người ra lệnh mà chúng trở nên thực hữu."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 10, 46-52","info":"“Lạy Thầy, xin cho tôi được thấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu ra khỏi thành Giêricô cùng với các môn đệ, và một đám đông, thì có con ông Timê tên là Bartimê, một người mù ăn xin đang ngồi ở vệ đường. Khi anh ta nghe biết đó là Chúa Giêsu Nagiarét, liền kêu lên rằng: “Hỡi ông Giêsu con vua Ðavít, xin thương xót tôi”. Và nhiều người mắng anh bảo im đi, nhưng anh càng kêu to hơn: “Hỡi con vua Ðavít , xin thương xót tôi”.\rChúa Giêsu dừng lại và truyền gọi anh đến. Người ta gọi người mù và bảo anh: “Hãy vững tâm đứng dậy, Người gọi anh”. Anh ta liệng áo choàng, đứng dậy, đến cùng Chúa Giêsu. Bấy giờ Chúa Giêsu bảo rằng: “Anh muốn Ta làm gì cho anh”? Người mù thưa: “Lạy Thầy, xin cho tôi được thấy”. Chúa Giêsu đáp: “Ðược, đức tin của anh đã chữa anh”. Tức thì anh ta thấy được và đi theo Người.","end":"Ðó là lời Chúa"}},
+        "5085": {"firstReading":{"excerpt":"(Năm I) Hc 44, 1. 9-13","info":"“Cha ông chúng ta là những người biết xót thương người, danh tiếng tồn tại từ đời nọ sang đời kia”.","title":"Trích sách Huấn Ca.","content":"Chúng ta hãy ca tụng những vĩ nhân và các tổ phụ chúng ta qua các thời đại. Có những người không ai nhớ đến nữa: Họ qua đi như không bao giờ có họ, họ sinh ra như thể không có họ sinh ra, và con cháu của họ cũng thế. Nhưng có những người nhân hậu mà việc thiện của họ không bao giờ bị lãng quên. Dòng dõi họ được hưởng hạnh phúc, và họ sẽ có con cháu nối dòng, miêu duệ họ trung thành với lời giao ước và con cái họ nhờ họ cũng được trung thành. Miêu duệ họ sẽ tồn tại đến muôn đời, và vinh quang của họ không bao giờ bị lu mờ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","response":"Ðáp: Chúa yêu thương dân Người (c. 4a).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy vang lên lời khen ngợi trong công hội các tín đồ. Israel hãy mừng vui vì Ðấng tạo tác bản thân, con cái Sion hãy hân hoan vì vua của họ.","Xướng: Họ hãy hoà nhạc để ngợi khen Người, hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang, hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa."]},"alleluia":{"verse":"Dt 4, 12","content":"alleluia! – Lời Thiên Chúa là lời hằng sống, linh nghiệm, phơi bày tư tưởng và ý muốn của tâm hồn. – Alleluia."},"gospel":{"excerpt":"Mc 11, 11-26","info":"“Nhà Ta sẽ được gọi là nhà cầu nguyện của mọi dân tộc. Các ngươi hãy tin vào Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"(Khi nghe dân chúng hoan hô), Chúa Giêsu vào thành Giê-rusalem, lên đền thờ và sau khi đã đưa mắt quan sát mọi sự, và lúc trời đã xế chiều, Người ra về Bêtania cùng với nhóm mười hai. Hôm sau, khi thầy trò rời bỏ Bêtania, Người thấy đói. Và khi thấy ở đàng xa có một cây vả nhiều lá, Người đến xem coi có trái nào không. Nhưng khi lại gần, Người chỉ thấy có lá thôi, vì không phải là mùa có trái. Người phán bảo cây vả rằng: “Cho đến muôn đời sẽ không còn ai ăn trái của mi nữa”. Và các môn đệ đã nghe Người nói.\rCác ngài đến Giêrusalem. Và khi vào đền thờ, Chúa liền đuổi những người mua bán ở đó. Người xô đổ bàn của những người đổi tiền và ghế của những người bán chim câu. Người không để cho ai mang đồ vật đi ngang qua đền thờ. Người dạy bảo họ: “Nào chẳng có lời chép rằng: “Nhà Ta sẽ được gọi là nhà cầu nguyện của mọi dận tộc ư? Thế mà các ngươi đã biến thành hang trộm cướp”. Ðiều đó đến tai các trưởng tế và luật sĩ, họ liền tìm cách giết Người, vì họ sợ Người, bởi tất cả dân chúng say mê giáo lý của Người. Chiều đến, Người ra khỏi thành.\rSáng hôm sau, khi đi ngang qua, các ngài trông thấy cây vả đã chết khô tận rễ. Phêrô nhớ lại và thưa Chúa rằng: “Lạy Thầy, hãy coi, cây vả Thầy nguyền rủa đã chết khô rồi”. Chúa Giêsu đáp: “Hãy tin vào Thiên Chúa. Thầy bảo thật các con, nếu ai bảo núi kia: “Hãy dời đi và gieo mình xuống biển”, mà trong lòng không hồ nghi, nhưng tin rằng điều mình nói sẽ xảy ra, thì người ấy sẽ được như ý. Vì vậy Thầy bảo các con: Tất cả những gì các con cầu xin, hãy tin rằng các con sẽ được, thì các con sẽ được điều đó. Và khi các con đang đứng cầu nguyện, nếu các con có điều gì bất thuận với ai, hãy tha thứ để Cha các con trên trời cũng tha cho các con. Nếu các con không tha thứ, thì Cha các con trên trời cũng không tha tội cho các con”.","end":"Ðó là lời Chúa"}},
+        "5086": {"firstReading":{"excerpt":"(Năm I) Hc 51, 17-27","info":"“Tôi sẽ tôn vinh Ðấng ban cho tôi sự khôn ngoan”.","title":"Trích sách Huấn Ca.","content":"Tôi tuyên xưng, ca ngợi và chúc tụng danh Chúa.\rKhi tôi còn trẻ, trước khi tôi đi đó đây, tôi đã công khai tìm kiếm sự khôn ngoan trong khi cầu nguyện. Trước đền thờ, tôi đã xin sự khôn ngoan, và tôi sẽ còn tìm nó cho đến ngày cuối đời tôi. Trước tinh hoa của sự khôn ngoan, như chùm nho hồng, tâm hồn tôi vui sướng: chân tôi bước đi trên đường ngay chính. Từ buổi thanh xuân, tôi đã tìm kiếm nó. Tôi đã lắng tai và nghe tiếng nó. Tôi đã tìm thấy trong tôi sự khôn ngoan cao cả, và nhờ nó tôi đã được tiến triển nhiều. Tôi sẽ tôn vinh Ðấng ban cho tôi sự khôn ngoan, vì tôi đã suy niệm để đem nó ra thực hành, tôi đã hăng say làm điều lành và tôi không hổ thẹn. Cùng với sự khôn ngoan, linh hồn tôi đã chiến đấu, và khi hành động, tôi được thêm vững chắc. Tôi đã giơ hai tay lên cao, và đã than khóc, vì đã không biết đến nó. Tôi đã hướng tâm hồn tôi về nó, và tôi đã tìm được nó với tâm hồn trong sạch.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","response":"Ðáp: Giới răn Chúa chính trực, làm hoan lạc tâm can (c. 9a).","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chính trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thực, công minh hết thảy.","Xướng: Những điều đó đáng chuộng hơn vàng, hơn cả vàng ròng, ngọt hơn mật và hơn cả mật chảy tự tàng ong."]},"alleluia":{"verse":"Gc 1, 18","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia."},"gospel":{"excerpt":"Mc 11, 27-33","info":"“Ông lấy quyền nào làm sự đó?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ lại đến Giêrusalem. Và trong khi Chúa Giêsu đi lại trong đền thờ, thì những trưởng tế, luật sĩ và kỳ lão đến hỏi Người: “Ông lấy quyền nào mà làm sự đó? Và ai đã ban quyền cho ông để làm như vậy?” Chúa Giêsu đáp: “Tôi sẽ hỏi các ông một câu thôi, hãy trả lời cho Tôi thì Tôi sẽ bảo cho các ông hay Tôi lấy quyền nào mà làm việc đó: Phép rửa của Gioan bởi trời hay bởi người ta? Hãy trả lời Tôi đi”. Họ liền bàn riêng với nhau rằng: “Nếu chúng ta trả lời “Bởi trời”, ông ấy sẽ nói: “Vậy sao các ông không tin Người?” Nhưng nếu chúng ta nói “Bởi người ta”, chúng ta sợ dân chúng, vì mọi người đều coi Gioan thật là một tiên tri. Vậy họ thưa cùng Chúa Giêsu rằng: “Chúng tôi không biết”. Và Chúa Giêsu bảo họ: “Vậy thì tôi cũng không nói cho các ông biết bởi quyền phép nào Tôi làm sự đó”.","end":"Ðó là lời Chúa"}},
+        "5091": {"firstReading":{"excerpt":"(Năm I) Tb 1, 1a. 2; 2, 1-9","info":"“Tôbia kính sợ Thiên Chúa hơn là nhà vua”.","title":"Khởi đầu sách Tôbia.","content":"Tôbia, người chi họ và thành Nephthali, ông bị bắt lưu đày trong đời Salmanasar, vua xứ Assyria. Mặc dầu bị lưu đày, ông không bỏ đường chân lý.\rKhi đến lễ trọng kính Chúa, trong gia đình Tôbia có dọn bữa ăn thịnh soạn, ông nói với con trai ông rằng: “Con hãy đi mời mấy người, thuộc chi họ chúng ta biết kính sợ Chúa, đến dự tiệc với chúng ta”. Con ông đi, rồi trở về báo tin cho ông hay rằng: “Một người con cái Israel bị bóp cổ chết nằm ngoài đường”. Lập tức, ông bỏ bàn ăn, ra khỏi phòng, bụng còn đói, chạy đến chỗ tử thi. Ông lén vác xác về nhà, để chờ lúc mặt trời lặn sẽ chôn cất cẩn thận. Sau khi đã giấu xác rồi, ông vừa dùng bữa vừa than khóc và run sợ, vì nhớ lại lời Chúa dùng miệng tiên tri Amos mà phán rằng: “Ngày lễ của các ngươi sẽ trở thành ngày than khóc và tang chế”. Khi mặt trời lặn, ông đi chôn xác. Tất cả các người bà con chỉ trích ông rằng: “Ông đã bị lên án tử hình cũng vì công việc đó, và may là ông thoát khỏi án tử, nay ông lại đi chôn kẻ chết nữa sao?” Nhưng Tôbia kính sợ Thiên Chúa hơn là sợ nhà vua, vẫn lấy trộm xác kẻ bị giết, giấu trong nhà, rồi đến nửa đêm ông đem đi chôn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 5-6","response":"Ðáp: Phúc đức thay người tôn sợ Chúa. Hoặc đọc: Alleluia.","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng ham mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong Ðất Nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Trong nhà người có tài sản phú quý, và lòng quảng đại người còn mãi muôn đời. Trong u tối, người xuất hiện như ánh sáng soi kẻ lòng ngay, người nhân hậu, từ bi và công chính.","Xướng: Phúc đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình. Cho tới đời đời người sẽ không nao núng: người hiền đức sẽ được ghi nhớ muôn đời."]},"alleluia":{"verse":" ","content":"alleluia! – Anh em hãy khiêm nhu nhận lãnh lời giao ước trong lòng, lời đó có thể cứu thoát linh hồn anh em. – Alleluia. Hoặc đọc: )Alleluia, alleluia! Lạy Chúa Giê-su Ki-tô là Vị Chứng Nhân trung thành, là trưởng tử trong số những người từ cõi chết chỗi dậy, Chúa đã yêu mến chúng con, và đã lấy máu mình rửa sạch tội lỗi chúng con. Alleluia."},"gospel":{"excerpt":"Mc 12, 1-12","info":"“Chúng bắt cậu con trai giết đi và quăng xác ra vườn nho”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu dùng dụ ngôn mà nói với các thượng tế, luật sĩ và kỳ lão rằng: “Có người trồng một vườn nho, rào dậu xung quanh, đào bồn đạp nho và xây một tháp, đoạn cho tá điền thuê vườn nho và trẩy đi phương xa.\r“Ðến kỳ hạn, ông sai đầy tớ đến với tá điền thu phần hoa lợi vườn nho. Nhưng những người này bắt tên đầy tớ đánh đập và đuổi về tay không. Ông lại sai đầy tớ khác đến với họ. Người này cũng bị chúng đánh vào đầu và làm sỉ nhục. Nhưng người thứ ba thì bị chúng giết. Ông còn sai nhiều người khác nữa, nhưng kẻ thì bị chúng đánh đập, người thì bị chúng giết chết.\r“Ông chỉ còn lại một cậu con trai yêu quý cuối cùng, ông cũng sai đến với họ, (vì) ông nghĩ rằng: “Chúng sẽ kiêng nể con trai ta”. Nhưng những tá điền nói với nhau rằng: “Người thừa tự đây rồi, nào ta hãy giết nó và cơ nghiệp sẽ về ta”. Ðoạn chúng bắt cậu giết đi và quăng xác ra ngoài vườn nho. Chủ vườn nho sẽ xử thế nào? Ông sẽ đến tiêu diệt bọn tá điền và giao vườn nho cho người khác. Các ông đã chẳng đọc đoạn Thánh Kinh này sao: “Tảng đá những người thợ xây loại ra, trở thành đá góc tường. Ðó là việc Chúa làm, thật lạ lùng trước mắt chúng ta”.\rHọ tìm bắt Người, nhưng họ lại sợ dân chúng. Vì họ đã quá hiểu Người nói dụ ngôn đó ám chỉ họ. Rồi họ bỏ Người mà đi.","end":"Ðó là lời Chúa"}},
+        "5092": {"firstReading":{"excerpt":"(Năm I) Tob 2, 10-23","info":"“Tuy bị mù lòa, ông cũng không phiền trách Thiên Chúa”.","title":"Trích sách Tobia.","content":"Xảy ra trong một ngày nọ, Tobia đi chôn xác mệt nhọc, trở về nhà, ông liền nằm ngủ bên vách tường, thì phân nóng chim én từ tổ rơi xuống mắt ông, khiến ông bị mù.\rChúa cho phép ông chịu thử thách như thế, để nêu gương nhẫn nại cho hậu thế như thánh Gióp xưa.\rVì từ lúc còn bé, ông có lòng kính sợ Thiên Chúa, và tuân giữ giới răn của Người, tuy bị mù lòa, ông cũng không phiền trách Thiên Chúa.\rTrái lại, ông vẫn một lòng kính sợ Thiên Chúa, và tạ ơn Người hằng ngày trong đời ông.\rVả các vua xưa nhạo báng thánh Gióp thế nào, thì nay bà con họ hàng cũng chê cười đời sống của ông mà rằng: “Hy vọng của ông ở đâu? Ông làm phúc và chôn xác được ích gì?”\rNhưng Tobia quở trách họ rằng: “Các ngươi đừng nói vậy, vì chúng ta là con cái các thánh, chúng ta trông đợi cuộc sống mà Thiên Chúa sẽ ban cho những ai không bao giờ thay đổi lòng tin vào Người”.\rCòn bà vợ của ông là Anna, hằng ngày đi dệt vải, hễ kiếm được gì bởi tay mình làm để nuôi thân, bà đem về, bởi đó, có lần bà nhận được một con dê đem về nhà; ông ông chồng nghe tiếng dê be be, liền nói: “Coi chừng, kẻo lỡ phải của ăn trộm đó. Hãy dắt đem trả cho chủ nó, vì chúng ta không được phép dùng đến của ăn trộm”.\rBà vợ ông nổi giận trả lời rằng: “Rõ là niềm hy vọng của ông ra vô ích, và kết quả việc bố thí của ông nay đã rõ ràng!”\rVà bà tiếp tục nói những lời như thế mà mạt sát ông.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"TV. 111, 1-2, 7bc-8,9","response":"Ðáp: Lòng người công chính vững vàng trông cậy vào Chúa.","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng hâm mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong Ðất Nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Người không kinh hãi vì nghe tin buồn thảm, lòng người vững vàng, cậy trông vào Chúa. Lòng người kiên nghị, người không kinh hãi, cho tới khi nhìn thấy kẻ thù phải hổ ngươi.","Xướng: Người ban phát và bố thí cho những kẻ nghèo, lòng quảng đại của người muôn đời còn mãi, sừng người được ngẩng lên trong vinh quang."]},"alleluia":{"verse":" ","content":"Alleluia alleluia! – Lời Chúa tồn tại muôn đời, đó là lời Tin Mừng đã rao giảng cho anh em. – Alleluia. (Hoặc đọc:) Alleluia alleluia! Xin Thân Phụ Đức Giê-su Ki-tô, Chúa chúng ta, soi trí mở lòng cho chúng ta thấy rỗ, đâu là niềm hy vọng, mà ơn Người kêu gọi cho chúng ta. Alleluia."},"gospel":{"excerpt":"Mc 12, 13-17","info":"“Các ông hãy trả cho Cêsarê cái gì thuộc về Cêsarê, và trả cho Thiên Chúa cái gì thuộc về Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, người ta sai mấy người thuộc nhóm biệt phái và đảng Hêrôđê đến Chúa Giêsu để lập mưu bắt lỗi Người trong lời nói. Họ đến thưa Người rằng: “Thưa Thầy, chúng tôi biết Thầy là người chân thật không vị nể ai, vì Thầy chẳng xem diện mạo, một giảng dạy đường lối Thiên Chúa cách rất ngay thẳng. Vậy chúng tôi có nên nộp thuế cho Cêsarê không? Chúng tôi phải nộp hay là không?” Nhưng Người biết họ giả hình, nên bảo rằng: “Sao các ông lại thử Ta? Hãy đưa Ta xem một đồng tiền”. Họ đưa cho Người một đồng tiền và Người hỏi: “Hình và ký hiệu này là của ai?” Họ thưa: “Của Cêsarê”. Người liền bảo họ: “Vậy thì của Cêsarê, hãy trả cho Cêsarê; của Thiên Chúa, hãy trả cho Thiên Chúa”. Và họ rất đỗi kinh ngạc về Người.","end":"Ðó là lời Chúa"}},
+        "5093": {"firstReading":{"excerpt":"(Năm I) Tb 3, 1-11. 24-25 (Gr1-11. 16)","info":"“Lời cầu nguyện của hai người trước tôn nhan vinh quang của Thiên Chúa Cao Cả, được chấp nhận”.","title":"Trích sách Tôbia.","content":"Trong những ngày ấy, Tôbia thổn thức và khóc lóc cầu nguyện rằng: “Lạy Chúa, Chúa công bình, mọi sự xét đoán của Chúa đều công minh, mọi đường lối của Chúa là từ bi, chân lý và phán quyết. Lạy Chúa, giờ đây xin hãy nhớ đến con, xin đừng báo oán tội lỗi con, xin đừng nhớ đến những lỗi lầm của con và của cha ông con. Bởi chúng con đã không vâng theo các giới răn của Chúa, nên Chúa để cho chúng con bị cướp bóc, tù đày, chết chóc, nhạo báng, và khinh bỉ nơi các dân mà chúng con bị lưu đày. Lạy Chúa, giờ đây sự xét xử của Chúa thật cao cả và công bình, vì chúng con không sống theo giới răn Chúa, và không thành tâm tiến bước trước thánh nhan Chúa. Lạy Chúa, giờ đây xin cứ đối xử với con theo thánh ý Chúa, và xin hãy cho linh hồn con được an nghỉ; vì thà con được chết còn hơn sống!”\rCũng trong ngày đó, xảy ra là Sara, con gái của Raguel, người thành Mêđi, cũng bị một đứa đầy tớ gái của cha cô lăng mạ, bởi vì cô đã kết hôn với bảy người đàn ông, nhưng khi họ vừa đến gần cô, thì bị quỷ Asmođêô giết chết ngay. Vậy khi một đứa tớ gái có lỗi, cô quở mắng nó, nó liền trả lời rằng: “Ðồ sát chồng, chúng tôi sẽ không nhìn thấy con trai con gái của bà trên mặt đất này. Nào bà muốn giết tôi như đã giết bảy người chồng của bà đó sao?” Nghe lời đó, cô liền đi thẳng lên lầu nhà cô, và trong ba ngày đêm, cô không ăn uống gì cả, cô chỉ cầu nguyện, khóc lóc than van cùng Thiên Chúa, mong Người cứu thoát cô khỏi cảnh nhục nhã ấy.\rLúc ấy, lời cầu nguyện của hai người trước tôn nhan vinh quang của Thiên Chúa Cao Cả, được chấp nhận. Chúa liền sai thiên thần Raphael đến để cứu giúp hai người trong chính lúc họ dâng lời cầu nguyện lên trước tôn nhan Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 2-4a. 4b-5ab. 6-7bc. 8-9","response":"Ðáp: Lạy Chúa, con vươn linh hồn lên tới Chúa","verses":["Xướng: Con tin cậy vào Chúa, xin đừng để con tủi hổ. Xin đừng để quân thù hoan hỉ về con. Phàm ai trông cậy Chúa, ắt chẳng hổ ngươi, hổ ngươi sẽ là những kẻ liều thân phản bội. – Ðáp.","Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa, xin dạy bảo con về lối bước của Ngài. Vì Chúa là Thiên Chúa cứu độ con, và con luôn luôn cậy trông vào Chúa. – Ðáp.","Xướng: Lạy Chúa, xin hãy nhớ lòng thương xót của Ngài, lòng thương xót tự muôn đời vẫn có. Xin hãy nhớ con theo lòng thương xót của Ngài, vì lòng nhân hậu của Ngài, thân lạy Chúa. – Ðáp.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối, Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài. – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Chúa nói: Chính Thầy là sự sống lại và là sự sống; ai tin vào Thầy, sẽ không bap giờ phải chết. Alleluia"},"gospel":{"excerpt":"Mc 12, 18-27","info":"“Người không phải là Thiên Chúa kẻ chết, mà là Thiên Chúa kẻ sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, có ít người phái Sađốc đến cùng Chúa Giêsu; phái này không tin có sự sống lại và họ hỏi Người rằng: “Thưa Thầy, luật Môsê đã truyền cho chúng tôi thế này: Nếu ai có anh em chết đi, để lại một người vợ không con, thì hãy cưới lấy người vợ goá đó để gây dòng dõi cho anh em mình. Vậy có bảy anh em: người thứ nhất cưới vợ rồi chết không con. Người thứ hai lấy người vợ goá và cũng chết không con, và người thứ ba cũng vậy, và cả bảy người không ai có con. Sau cùng người đàn bà ấy cũng chết. Vậy ngày sống lại, khi họ cùng sống lại, thì người đàn bà đó sẽ là vợ của người nào? Vì cả bảy anh em đã cưới người đó làm vợ”. Chúa Giêsu trả lời rằng: “Các ông không hiểu biết Kinh Thánh, cũng chẳng hiểu biết quyền phép của Thiên Chúa, như vậy các ông chẳng lầm lắm sao? Bởi khi người chết sống lại, thì không lấy vợ lấy chồng, nhưng sống như các thiên thần ở trên trời. Còn về sự kẻ chết sống lại, nào các ông đã chẳng đọc trong sách Môsê chỗ nói về bụi gai, lời Thiên Chúa phán cùng Môsê rằng: “Ta là Chúa Abraham, Chúa Isaac và Chúa Giacóp”. Người không phải là Thiên Chúa kẻ chết, mà là Thiên Chúa kẻ sống. Vậy các ông thật lầm lạc”.","end":"Ðó là lời Chúa"}},
+        "5094": {"firstReading":{"excerpt":"(Năm I) Tb 6, 10-11a; 7, 1. 9-17; 8, 4-10","info":"“Thiên Chúa đã khiến các người đến nhà tôi để con gái tôi kết hôn với người trong thân tộc”.","title":"Trích sách Tôbia.","content":"Trong những ngày ấy, Tôbia hỏi thiên thần rằng: “Ngài muốn chúng ta ở đâu?” Thiên thần trả lời rằng: “Ở đây có người tên là Raguel, người bà con thuộc chi tộc của anh; và ông này có người con gái tên là Sara”. Thiên Thần và Tôbia đi vào nhà Raguel, và được Raguel vui mừng đón tiếp.\rSau khi trò truyện, Raguel bảo giết chiên dọn tiệc, rồi mời khách ngồi vào bàn ăn. Tôbia liền nói: “Hôm nay đây cháu không ăn uống gì cả, nếu bác không chấp nhận lời cháu thỉnh nguyện: xin bác hứa gả con của bác là Sara cho cháu”.\rVừa nghe câu đó, Raguel hoảng sợ, vì biết việc đã xảy ra cho bảy người chồng trước, khi họ tới gần con gái của ông. Ông lo sợ kẻo người này cũng đồng số phận như vậy chăng. Trong lúc ông lưỡng lự, không biết phải trả lời làm sao với kẻ xin cưới con mình, thiên thần liền nói: “Ông đừng sợ gả con gái ông cho người này, vì con gái ông xứng đáng làm vợ người này vốn hay kính sợ Thiên Chúa; do đó, không ai khác cưới được nàng”. Bấy giờ Raguel thưa: “Tôi không còn hồ nghi, vì Chúa đã chấp nhận lời tôi kêu cầu và nước mắt tôi chảy ra trước tôn nhan Người. Tôi cũng tin rằng vì thế mà Người khiến các người đến nhà tôi, để con gái tôi kết hôn với người trong thân tộc mình theo luật Môsê, và giờ đây tôi không ngần ngại gả con gái tôi cho cháu”. Ông liền nắm tay con gái ông, đặt vào lòng tay mặt của Tôbia và nói rằng: “Thiên Chúa Abraham, Thiên Chúa Isaac, và Thiên Chúa Giacóp ở cùng hai con, chính Người phối hợp hai con, xin Người ban tràn đầy ơn phúc lành của Người xuống cho hai con. Hai bên làm giấy hôn thú. Và sau đó họ ăn tiệc cưới cảm tạ Thiên Chúa.\rBấy giờ Tôbia khuyên bảo nàng trinh nữ rằng: “Hỡi Sara, hãy chỗi dậy, chúng ta hãy cầu nguyện cùng Thiên Chúa hôm nay, mai và mốt; trong ba đêm đầu, chúng ta hãy kết hợp với Thiên Chúa. Qua đêm thứ ba rồi, chúng ta mới giao hợp với nhau: vì chúng ta là con cái các thánh, chúng ta không thể giao hợp với nhau như những người dân ngoại không biết gì đến Thiên Chúa”. Cả hai cùng chỗi dậy, cùng cầu nguyện không ngừng, để xin ơn được sống thanh sạch. Tôbia nguyện rằng: “Lạy Chúa là Thiên Chúa tổ phụ chúng con, danh Chúa đáng chúc tụng cho đến muôn đời! Hỡi trời đất, biển cả, sông ngòi và mọi tạo vật, hãy chúc tụng Chúa. Chúa đã lấy bùn đất mà dựng nên Ađam, và ban cho người một bà nội trợ là Evà. Và giờ đây, lạy Chúa, Chúa biết không phải vì dục tình mà con cưới em này làm vợ, song chỉ vì muốn có con cái nối dòng, để danh Chúa được chúc tụng muôn đời”. Sara cũng nguyện rằng: “Lạy Chúa, xin thương xót chúng con, xin thương xót chúng con, xin cho hai chúng con được an khang trường thọ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Phúc thay những bạn nào tôn sợ Thiên Chúa","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người: Công quả tay bạn làm ra bạn an hưởng, bạn được hạnh phúc và sẽ gặp may. – Ðáp.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thất nội cung nhà bạn; con cái bạn như những chồi non của khóm ô liu, ở chung quanh bàn ăn của bạn. Ðó là phúc lộc dành để cho người biết tôn sợ Ðức Thiên Chúa. – Ðáp.","Xướng: Nguyện xin Thiên Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem, hết mọi ngày trong đời sống của bạn, và để bạn nhìn thấy lũ cháu đàn con! – Ðáp."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Đấng Cứu Độ chúng ta là Đức Giê-su Ki-tô đã tiêu diệt thần chết, và đã dùng Tin Mừng mà làm sáng tỏ phúc trường sinh. Alleluia"},"gospel":{"excerpt":"Mc 12, 28b-34","info":"“Thiên Chúa của ngươi là Thiên Chúa duy nhất và ngươi hãy kính mến Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, có người trong nhóm Luật sĩ tiến đến Chúa Giêsu và hỏi Người rằng: “Trong các giới răn, điều nào trọng nhất?” Chúa Giêsu đáp: “Giới răn trọng nhất chính là: “Hỡi Israel, hãy nghe đây: Thiên Chúa, Chúa chúng ta, là Chúa duy nhất, và ngươi hãy yêu mến Chúa, Thiên Chúa ngươi hết lòng, hết linh hồn, hết trí khôn và hết sức ngươi”. Còn đây là giới răn thứ hai: “Ngươi hãy yêu mến tha nhân như chính mình ngươi”. Không có giới răn nào trọng hơn hai giới răn đó”. Luật sĩ thưa Người: “Thưa Thầy, đúng lắm! Thầy dạy phải lẽ khi nói Thiên Chúa là Chúa duy nhất, và ngoài Người, chẳng có Chúa nào khác. Yêu mến Chúa hết lòng, hết trí khôn, hết sức mình, và yêu tha nhân như chính mình thì hơn mọi lễ vật toàn thiêu và mọi lễ vật hy sinh”. Thấy người ấy tỏ ý kiến khôn ngoan, Chúa Giêsu bảo: “Ông không còn xa Nước Thiên Chúa bao nhiêu”. Và không ai dám hỏi Người thêm điều gì nữa.","end":"Ðó là lời Chúa"}},
+        "5095": {"firstReading":{"excerpt":"(Năm I) Tob 11, 5-17","info":"“Chúa đã sửa phạt tôi, và lại cứu chữa tôi, đây tôi nhìn thấy con trai tôi”","title":"Bài trích sách Tobia.","content":"Trong những ngày ấy, mỗi ngày bà Anna đến ngồi ở vệ đường bên sườn núi, nơi đó có thể nhìn xa được.\rCũng tại chỗ đó, đang lúc bà ngóng chờ con bà trở về, thì bà thấy và nhận ra con bà từ đàng xa đi đến, bà chạy báo tin cho chồng rằng: “Kìa, con mình đang về tới kia”.\rVà Raphael nói với Tobia rằng: “Lúc bạn vào nhà rồi, lập tức bạn hãy thờ lạy Chúa là Thiên Chúa bạn, và cảm tạ Người, rồi bạn đến gần mà hôn cha của bạn. Liền sau đó, bạn hãy lấy mật cá đem theo mình, xức lên mắt ông. Mắt của ông sẽ mở ra, cha của bạn sẽ thấy ánh sáng mặt trời, và hân hoan trước mặt bạn”.\rBấy giờ con chó đi theo Tobia, chạy về trước, nó vui mừng vẫy đuôi như báo tin. Người cha mù lòa của Tobia chỗi dậy, loạng choạng đi ra cửa đón con mình.\rÔng đón lấy và hôn con ông và vợ nó.\rCả hai oà lên khóc vì vui mừng.\rSau khi thờ lạy và cảm tạ Thiên Chúa, họ cùng ngồi xuống.\rBấy giờ Tobia lấy mật cá, xức lên mắt cha mình.\rChờ đợi nửa giờ, thì một vẩy trắng tựa như màng trứng tách ra khỏi hai mắt.\rTobia cầm vẩy trắng ấy kéo ra khỏi mắt cha mình, ông liền thấy được.\rRồi ông, vợ ông và những người quen thuộc ca tụng Chúa.\rCòn Tobia thì cầu nguyện rằng: “Lạy Chúa là Thiên Chúa Israel, tôi chúc tụng Chúa, vì Chúa sửa phạt tôi, và lại cứu chữa tôi; đây chính tôi đang nhìn thấy Tobia con trai của tôi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 2abc, 7,8-9abc-10","response":"Ðáp: Linh hồn tôi ơi, hãy ngợi khen Chúa.","verses":["Xướng: Linh hồn tôi ơi, hãy ngợi khen Chúa, tôi sẽ ngợi khen Chúa suốt cả cuộc đời, bao lâu còn có thân tôi, tôi còn ca ngợi Chúa. – Ðáp.","Xướng: Thiên Chúa cứu gỡ những người tù tội. Thiên Chúa mở mắt những kẻ đui mù. – Ðáp.","Xướng: Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quý các bậc hiền nhân. Thiên Chúa che chở những khách kiều cư. – Ðáp.","Xướng: Thiên Chúa nâng đỡ những người mồ côi, quả phụ và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời, Sion hỡi, Thiên Chúa của ngươi sẽ làm vua tự đời này sang đời khác. – Ðáp."]},"alleluia":{"verse":" ","content":"Không tìm thấy nội dung Alleluia"},"gospel":{"excerpt":"Mc 12, 35-37","info":"“Sao họ có thể bảo Ðức Kitô là Con vua Ðavít?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu cất tiếng giảng dạy trong đền thờ rằng: “Sao các luật sĩ lại nói Ðấng Cứu Thế là con vua Ðavít? Vì chính Ðavít được Chúa Thánh Thần soi sáng đã nói: Thiên Chúa đã phán cùng Chúa tôi rằng: “Con hãy ngồi bên hữu Cha, cho đến khi Cha đặt các kẻ thù con làm bệ dưới chân con”. Chính Ðavít gọi Người là Chúa, thì sao Người lại có thể là Con Ðavít được?” Và đám dân chúng thích thú nghe Người nói.","end":"Ðó là lời Chúa"}},
+        "5096": {"firstReading":{"excerpt":"(Năm I) Tob 12, 1-5.20","info":"“Tôi phải trở về cùng Ðấng đã sai tôi; còn các ngươi hãy chúc tụng Thiên Chúa”.","title":"Bài trích sách Tobia.","content":"Trong những ngày ấy, Tobia kêu con trai lại và hỏi rằng: “Chúng ta phải tặng cái gì cho người thánh thiện đi với con?”\rRồi cả hai cha con gọi thiên thần đến và đưa người ra chỗ riêng và xin người vui lòng nhận một nửa những gì đã mang về.\rBấy giờ người bảo nhỏ hai cha con rằng: “Các người hãy chúc tụng Chúa trời, và tuyên xưng Người trước mặt mọi sinh vật, vì người tỏ lòng từ bi đối với các người.\rBởi chưng, giữ kín sự bí mật của nhà vua là một việc tốt, nhưng công bố và tuyên xưng các kỳ công của Thiên Chúa là một vinh dự, cầu nguyện, ăn chay, bố thí, thì tốt hơn là cất giấu kho vàng, vì việc bố thí cứu khỏi chết, tẩy sạch tội lỗi, mang lại lòng từ bi và sự sống đời đời.\rCòn những ai phạm tội và làm điều gian ác, thì là thù địch của linh hồn mình.\rVậy tôi tiết lộ cho các người biết sự thật, và không giữ kín câu chuyện bí mật với các người nữa: Khi ông than khóc cầu nguyện, chôn xác kẻ chết, bỏ cơm trưa, và ban ngày giấu xác chết trong nhà, rồi ban đêm mang đi chôn, chính tôi đã dâng lời nguyện của ông lên cùng Chúa.\rVà vì ông đã được đẹp lòng Chúa, nên cần phải có thử thách để thanh luyện ông.\rNay Chúa sai tôi đến để chữa ông và cứu Sara con dâu của ông khỏi ma quỷ.\rVì tôi là thiên thần Raphael, một trong bảy thiên thần chầu chực trước mặt Chúa.\rVậy đã đến lúc tôi phải trở về cùng Ðấng đã sai tôi; còn các người hãy chúc tụng Thiên Chúa và cao rao mọi việc kỳ diệu của Người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tob 13, 2, 6, 7, 8","response":"Ðáp: Lạy Chúa, Chúa cao cả muôn đời.","verses":["Xướng: Chúa trừng phạt, rồi Chúa lại tha thứ; Chúa đẩy xuống âm phủ, rồi lại đem ra; và không một ai thoát khỏi tay Chúa. – Ðáp.","Xướng: Hãy ngắm nhìn những việc Chúa làm cho chúng ta, hãy tuyên xưng Người với lòng cung kính và run sợ, hãy suy tôn vua muôn đời trong những việc làm của các ngươi. – Ðáp.","Xướng: Tôi tuyên xưng Người nơi tôi bị lưu đày, vì Người tỏ ra uy quyền trước dân phạm tội. – Ðáp.","Xướng: Hỡi tội nhân, hãy sám hối ăn năn, hãy thực hiện sự công chính trước mặt Thiên Chúa, hãy tin rằng Người tỏ lòng từ bi với các ngươi. – Ðáp."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Phúc thay ai có tâm hồn nghèo khó, vì Nước Trời là của họ. Alleluia."},"gospel":{"excerpt":"Mc 12, 38 – 44","info":"“Bà goá nghèo này đã bỏ nhiều hơn hết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu nói cùng dân chúng trong khi giảng dạy rằng: “Các ngươi hãy coi chừng bọn luật sĩ. Họ thích đi lại trong bộ áo thụng, ưa được bái chào ngoài công trường, chiếm những ghế nhất trong hội đường và trong đám tiệc. Họ giả bộ đọc những kinh dài để nuốt hết tài sản của các bà goá: Họ sẽ bị kết án nghiêm nhặt hơn”. Chúa Giêsu ngồi đối diện với hòm tiền, quan sát dân chúng bỏ tiền vào hòm, và có lắm người giàu bỏ nhiều tiền. Chợt có một bà goá nghèo đến bỏ hai đồng tiền là một phần tư xu. Người liền gọi các môn đệ và bảo: “Thầy nói thật với các con: Trong những người đã bỏ tiền vào hòm, bá goá nghèo này đã bỏ nhiều hơn hết. Vì tất cả những người kia bỏ của mình dư thừa, còn bà này đang túng thiếu, đã bỏ tất cả những gì mình có để nuôi sống”.","end":"Ðó là lời Chúa"}},
+        "5101": {"firstReading":{"excerpt":"(Năm I) 2 Cr 1, 1-7","info":"“Thiên Chúa an ủi chúng tôi để chính chúng tôi có thể an ủi những ai lâm cảnh gian truân”.","title":"Khởi đầu thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Phaolô, Tông đồ của Ðức Giêsu Kitô do ý Thiên Chúa, và anh Timôthêu kính gởi Hội thánh Thiên Chúa tại Côrintô và hết thảy các thánh ở khắp miền Acaia: Nguyện xin ân sủng và bình an của Thiên Chúa, Cha chúng ta, và của Chúa Giêsu Kitô, ở cùng anh em.\rChúc tụng Thiên Chúa là Cha Ðức Giêsu Kitô, Chúa chúng ta, là Cha nhân từ cùng là Thiên Chúa mọi niềm an ủi, là Ðấng an ủi chúng tôi trong mọi nỗi gian truân, để chính chúng tôi có thể an ủi những ai lâm cảnh gian truân, với niềm an ủi mà Thiên Chúa đã an ủi chúng tôi. Bởi vì cũng như các nỗi đau khổ của Ðức Giêsu Kitô chan chứa trong chúng tôi thể nào, thì nhờ Ðức Kitô, chúng tôi cũng được an ủi chứa chan thể ấy. Nếu chúng tôi chịu gian truân là để anh em được an ủi và được cứu rỗi; nếu chúng tôi được an ủi là để anh em được an ủi; nếu chúng tôi được uỷ lạo là cho anh em được uỷ lạo và được cứu rỗi; niềm an ủi đó sẽ làm cho anh em kiên nhẫn chịu các nỗi đau khổ mà chính chúng tôi cũng đang chịu, hầu cho niềm hy vọng của chúng tôi về anh em được vững mạnh, (vì) biết rằng nếu anh em thông phần vào các nỗi đau khổ, thì anh em cũng sẽ thông phần vào niềm an ủi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Các bạn hãy nếm thử và hãy nhìn coi cho biết Chúa thiện hảo nhường bao","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui – Ðáp.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ. – Ðáp.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn. – Ðáp.","Xướng: Thiên thần Chúa hạ trại đồn binh chung quanh những người sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao. Phúc đức ai tìm nương tựa ở nơi Người. – Ðáp."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Anh em hãy vui mừng hớn hở, vì phần thưởng dành cho anh em ở trên trời thật lớn lao. Alleluia."},"gospel":{"excerpt":"Mt 5, 1-12","info":"“Phúc cho những ai có tinh thần nghèo khó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đoàn lũ đông đảo, Người đi lên núi, và lúc Người ngồi xuống, các môn đệ đến gần Người. Bấy giờ Người mở miệng dạy họ rằng: “Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ. – Phúc cho những ai hiền lành, vì họ sẽ được Ðất Nước làm cơ nghiệp. – Phúc cho những ai đau buồn, vì họ sẽ được ủi an. – Phúc cho những ai đói khát điều công chính, vì họ sẽ được no thoả. – Phúc cho những ai hay thương xót người, vì họ sẽ được xót thương. – Phúc cho những ai có lòng trong sạch, vì họ sẽ được nhìn xem Thiên Chúa. – Phúc cho những ai ăn ở thuận hoà, vì họ sẽ được gọi là con Thiên Chúa. – Phúc cho những ai bị bách hại vì lẽ công chính, vì Nước Trời là của họ”.\r“Phúc cho các con khi người ta ghen ghét, bách hại các con, và bởi ghét Thầy, họ vu khống cho các con mọi điều gian ác. Các con hãy vui mừng hân hoan, vì phần thưởng của các con sẽ trọng đại ở trên trời. Người ta cũng đã từng bắt bớ các tiên tri trước các con như vậy”.","end":"Ðó là lời Chúa"}},
+        "5102": {"firstReading":{"excerpt":"(Năm I) 2 Cr 1, 18-22","info":"“Ðức Giêsu không phải vừa “Có” lại vừa “Không”, nhưng nơi Người chỉ “Có” mà thôi”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, xin Thiên Chúa là Ðấng trung tín, chứng giám cho rằng lời nói của chúng tôi đối với anh em không phải là vừa “Có” lại vừa “Không”. Quả thế, Con Thiên Chúa là Ðức Giêsu Kitô, Ðấng mà tôi, Silvanô và Timôthêu đã rao giảng nơi anh em, Người không phải vừa “Có” lại vừa “Không”; trái lại, nơi Người chỉ là “Có” mà thôi. Bởi chưng bao nhiêu lời hứa của Thiên Chúa đã thành “Có” ở nơi Người. Vì thế, nhờ Người mà chúng tôi hô lên lời “Amen” tôn vinh Thiên Chúa. Vậy Ðấng đã làm cho chúng tôi và anh em được đứng vững trong Ðức Kitô, và đã xức dầu cho chúng ta, chính là Thiên Chúa, Ngài đã ghi dấu trên mình chúng ta, và đã ban vào lòng chúng ta bảo chứng của Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 129. 130. 131. 132. 133. 135","response":"Ðáp: Lạy Chúa, xin tỏ cho tôi tớ Chúa thấy long nhan hiền hậu của Chúa","verses":["Xướng: Kỳ diệu thay những lời Ngài nghiêm huấn, bởi thế linh hồn con vẫn tuân theo.","Xướng: Sự mạc khải lời Ngài soi sáng, và dạy bảo những người chưa kinh nghiệm.","Xướng: Con há miệng để hút nguồn sinh khí, vì con ham muốn những chỉ thị của Ngài.","Xướng: Xin Chúa nhìn lại thân con và thương xót, như Chúa quen xử với những người yêu mến danh Chúa.","Xướng: Xin hướng dẫn con bước theo lời răn của Chúa, và chớ để điều gian ác thống trị trong mình con.","Xướng: Xin tỏ cho tôi tớ Ngài thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Ngài. –"]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Ánh sáng của anh em phải chiếu giãi trước mặt thiên hạ, để họ thấy những công việc tốt đẹp anh em làm, mà tôn vinh Cha của anh em. Alleluia."},"gospel":{"excerpt":"Mt 5, 13-16","info":"“Các con là sự sáng thế gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con là muối đất. Nếu muối đã lạt, người ta biết lấy gì mà ướp cho mặn lại? Muối đó không còn xử dụng vào việc chi nữa, chỉ còn ném ra ngoài cho người ta chà đạp lên nó. Các con là sự sáng thế gian. Một thành phố xây dựng trên núi, không thể che giấu được. Và người ta cũng không thắp đèn rồi để dưới đáy thùng, nhưng đặt nó trên giá đèn, hầu soi sáng cho mọi người trong nhà. Sự sáng của các con cũng phải chiếu giãi ra trước mặt thiên hạ, để họ xem thấy những việc lành của các con mà ngợi khen Cha các con trên trời”.","end":"Ðó là lời Chúa"}},
+        "5103": {"firstReading":{"excerpt":"(Năm I) 2 Cr 3, 4-11","info":"“Người đã làm cho chúng tôi trở nên thừa tác viên của Tân Ước, không phải của văn tự, mà là của Thần Trí”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, chúng tôi tin tưởng như thế trước mặt Thiên Chúa nhờ Ðức Kitô. Không phải chúng tôi có thể nghĩ tưởng điều gì như là bởi chính chúng tôi, nhưng điều đó là do Thiên Chúa: chính Người là Ðấng đã làm cho chúng tôi trở nên thừa tác viên của Tân Ước, không phải của văn tự, mà là của Thần trí, vì văn tự chỉ giết chết, còn Thần trí mới tác sinh.\rNếu việc phục vụ sự chết, được khắc thành chữ trên bia đá, rạng ngời vinh quang, khiến con cái Israel không thể nhìn thẳng vào mặt Môsê vì vinh quang trên mặt ông, dầu đó chỉ là vinh quang nhất thời, thì việc phục vụ Thần trí lại chẳng được vinh quang hơn sao? Thật vậy, nếu việc phục vụ án phạt đem lại vinh quang, thì việc phục vụ công chính lại càng đem vinh quang rực rỡ hơn; và về phương diện này, điều xưa kia là vinh quang, không còn vinh quang nữa so với sự vinh quang cao cả này. Bởi lẽ điều nhất thời mà còn được vinh quang, thì điều vĩnh cửu lại càng được vinh quang nhiều biết mấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 98, 5. 6. 7. 8. 9","response":"Ðáp: Thiên Chúa, Chúa chúng ta, là Ðấng Thánh","verses":["Xướng: Hãy cao rao Chúa là Thiên Chúa chúng ta, hãy sấp mình dưới bệ kê chân Ngài, đây là bệ ngọc chí thánh.","Xướng: Trong hàng tư tế của Ngài có Môsê và Aaron, và có Samuel trong số người cầu đảo danh Ngài: các ông kêu cầu Chúa và chính Ngài nhậm lời các ông.","Xướng: Trong cột mây, bấy giờ Ngài phán bảo, các ông đã nghe những huấn lệnh của Ngài, và chỉ thị Ngài đã truyền cho các ông giữ.","Xướng: Lạy Chúa là Thiên Chúa chúng con, Ngài đã nhậm lời các ông; lạy Chúa, với các ông Ngài xử khoan hồng, tuy nhiên, Ngài đã oán phạt điều các ông lầm lỗi.","Xướng: Hãy cao rao Chúa là Thiên Chúa chúng ta; hãy sấp mình trên núi thánh của Ngài: vì Thiên Chúa, Chúa chúng ta, là Ðấng Thánh."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 5, 17-19","info":"“Thầy không đến để huỷ bỏ, nhưng để kiện toàn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đừng tưởng Thầy đến để huỷ bỏ lề luật hay các tiên tri: Thầy không đến để huỷ bỏ, nhưng để kiện toàn. Vì Thầy bảo thật các con: Cho dù trời đất có qua đi, thì một chấm, một phẩy trong bộ luật cũng không bỏ sót, cho đến khi mọi sự hoàn thành. Bởi vậy, ai huỷ bỏ một trong những điều luật nhỏ mọn nhất, và dạy người khác làm như vậy, sẽ kể là người nhỏ nhất trong Nước Trời; trái lại, ai giữ và dạy người ta giữ những điều đó, sẽ được kể là người cao cả trong Nước Trời”.","end":"Ðó là lời Chúa"}},
+        "5104": {"firstReading":{"excerpt":"(Năm I) 2 Cr 3, 15 – 4, 1. 3-6","info":"“Thiên Chúa chiếu sáng trong lòng chúng ta, hầu làm sáng tỏ sự hiểu biết về vinh quang của Người”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, cho đến nay, mỗi lần đọc sách Môsê, vẫn còn có cái màn che lòng con cái Israel. Nhưng khi người ta đã trở lại cùng Chúa, màn ấy mới được cất đi. Chúa là Thần linh, và ở đâu có Thần linh Chúa, thì ở đấy có tự do. Phần chúng ta hết thảy, không màn che mặt, chúng ta phản ảnh vinh quang của Chúa, được biến hoá giống hình ảnh Chúa, từ vinh quang này đến vinh quang khác, xứng với tác động của Thần Linh Chúa.\rBởi thế, đảm nhiệm việc phục vụ do lòng thương xót chúng tôi đã được hưởng, chúng tôi không ngã lòng. Nếu Phúc Âm chúng tôi còn ẩn khuất, thì cũng chỉ ẩn khuất cho những ai hư mất, cho những ai không tin, vì thần thế gian này đã làm cho tâm trí họ trở thành mù quáng, khiến họ không còn thấy sáng chói Phúc Âm của vinh quang Ðức Kitô, Người là hình ảnh của Thiên Chúa. Thật vậy, chúng tôi không rao giảng bản thân chúng tôi, nhưng rao giảng Ðức Giêsu Kitô, Chúa chúng tôi: chúng tôi chỉ là tôi tớ anh em vì Ðức Giêsu, bởi Thiên Chúa, Ðấng đã phán: “Sự sáng hãy từ bóng tối toả ra”, chính Người chiếu sáng trong lòng chúng ta, hầu làm sáng tỏ sự hiểu biết về vinh quang của Người trên tôn nhan của Ðức Giêsu Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Vinh quang Chúa ngự trị trong đất nước chúng tôi","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng tôi.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Người."]},"alleluia":{"verse":"Ga 14, 29","content":"alleluia! – Chúa phán: “Nếu ai yêu Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Chúa nói: Thầy ban cho anh em một điều răn mới, là anh em hãy yêu thương nhau, như Thầy đã yêu thương anh em. Alleluia."},"gospel":{"excerpt":"Mt 5, 20-26","info":"“Bất cứ ai phẫn nộ với anh em mình, thì sẽ bị toà án luận phạt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu các con không công chính hơn các luật sĩ và biệt phái, thì các con chẳng được vào Nước Trời đâu.\r“Các con đã nghe dạy người xưa rằng: “Không được giết người. Ai giết người, sẽ bị luận phạt nơi toà án”. Còn Thầy, Thầy sẽ bảo các con: Bất cứ ai phẫn nộ với anh em mình, thì sẽ bị toà án luận phạt. Ai bảo anh em là “ngốc”, thì bị phạt trước công nghị. Ai rủa anh em là “khùng”, thì sẽ bị vạ lửa địa ngục. Nếu con đang dâng của lễ nơi bàn thờ mà sực nhớ người anh em đang có điều bất bình với con, thì con hãy để của lễ lại trước bàn thờ, đi làm hoà với người anh em con trước đã, rồi hãy trở lại dâng của lễ. Hãy liệu làm hoà với kẻ thù ngay lúc còn đi dọc đường với nó, kẻo kẻ thù sẽ đưa con ra trước mặt quan toà, quan toà lại trao con cho tên lính canh và con sẽ bị tống ngục. Ta bảo thật cho con biết: Con sẽ không thoát khỏi nơi ấy cho đến khi trả hết đồng xu cuối cùng!”","end":"Ðó là lời Chúa"}},
+        "5105": {"firstReading":{"excerpt":"(Năm I) 2 Cr 4, 7-15","info":"“Ðấng đã làm cho Ðức Giêsu sống lại, cũng sẽ làm cho chúng tôi được sống lại với Ðức Giêsu và sẽ đặt chúng tôi bên Người làm một với anh em”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, chúng ta chứa đựng kho tàng ấy trong những bình sành, để biết rằng quyền lực vô song đó là của Thiên Chúa, chứ không phải phát xuất tự chúng ta. Chúng ta chịu khổ cực tư bề, nhưng không bị đè bẹp; chúng ta phải long đong, nhưng không tuyệt vọng; chúng ta bị bắt bớ, nhưng không bị bỏ rơi; bị quật ngã, nhưng không bị tiêu diệt. Bởi vì chúng ta luôn mang trên thân xác mình sự chết của Ðức Giêsu, để sự sống của Ðức Giêsu được tỏ hiện nơi thân xác chúng ta. Vì chưng, mặc dầu đang sống, nhưng vì Ðức Giêsu, chúng tôi luôn luôn nộp mình chịu chết, để sự sống của Ðức Giêsu được tỏ hiện trong thân xác hay chết của chúng tôi. Vậy sự chết hoành hành nơi chúng tôi, còn sự sống hoạt động nơi anh em. Nhưng anh em hãy có một tinh thần đức tin, như đã chép rằng: “Tôi đã tin, nên tôi đã nói”, và chúng tôi tin, nên chúng tôi cũng nói, bởi chúng tôi biết rằng Ðấng đã làm cho Ðức Giêsu sống lại, cũng sẽ làm cho chúng tôi được sống lại với Ðức Giêsu, và sẽ đặt chúng tôi bên Người làm một với anh em. Mọi sự đều vì anh em, để ân sủng càng tràn đầy, bởi nhiều kẻ tạ ơn, thì càng gia tăng vinh quang Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 10-11. 15-16. 17-18","response":"Ðáp: Lạy Chúa, con sẽ hiến dâng lời ca ngợi làm sinh lễ. Hoặc đọc: Alleluia.","verses":["Xướng: Tôi đã tin cậy ngay cả trong lúc tôi nói: “Tấm thân tôi trăm phần khổ cực!” Trong lúc kinh hoàng tôi đã thốt ra: “Hết mọi người đều giả dối”. – Ðáp.","Xướng: Trước mặt Chúa thật là quý hoá cái chết của những bậc thánh nhân Ngài. Ôi lạy Chúa, con là tôi tớ Chúa, tôi tớ Ngài, con trai của nữ tì Ngài, Ngài đã bẻ gãy xiềng xích cho con. – Ðáp.","Xướng: Con sẽ hiến dâng lời ca ngợi làm sinh lễ, và con sẽ kêu cầu danh Chúa. Tôi sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài. – Ðáp."]},"alleluia":{"verse":"Ga 1, 14 và 22b","content":"alleluia! – Ngôi lời đã làm người và ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 5, 27-32","info":"“Ai nhìn người nữ mà ước ao phạm tội, thì đã ngoại tình với người ấy trong lòng rồi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đã nghe dạy người xưa rằng: “Chớ ngoại tình”. Phần Thầy, Thầy bảo các con: Ai nhìn người nữ mà ước ao phạm tội, thì đã ngoại tình với người ấy trong lòng rồi. Nếu mắt bên phải con làm con vấp phạm, thì hãy móc quăng khỏi con đi: thà mất một chi thể còn lợi cho con hơn là toàn thân bị ném vào hoả ngục. Và nếu tay phải con làm con vấp phạm, thì hãy chặt mà quăng đi, vì thà mất một chi thể còn lợi cho con hơn là toàn thân bị ném vào hoả ngục.\r“Có lời dạy rằng: “Ai bỏ vợ mình, hãy trao cho vợ một giấy ly dị”. Phần Thầy, Thầy bảo các con: bất cứ ai bỏ vợ mình-ngoại trừ vì lý do gian dâm-là làm cớ cho vợ ngoại tình; và ai cưới người vợ bị bỏ, cũng phạm tội ngoại tình nữa”.","end":"Ðó là lời Chúa"}},
+        "5106": {"firstReading":{"excerpt":"(Năm I) 2Cor 5, 14-21","info":"“Ðấng không hề biết tội lỗi, Thiên Chúa đã làm thành tội vì chúng ta”.","title":"Bài trích thơ thứ hai của Thánh Phaolô Tông đồ gởi tín hữu Côrintô.","content":"Anh em thân mến, lòng mến Ðức Kitô thôi thúc chúng tôi nghĩ rằng: nếu một người đã chết cho mọi người, tức là mọi người đã chết; và Ðức Kitô đã chết cho mọi người, để những ai đang sống không còn sống cho mình.\rBởi thế, từ nay chúng tôi không còn biết ai theo huyết nhục nữa, cho dầu có một thời chúng tôi đã biết Ðức Kitô theo phương diện huyết nhục, thì bây giờ chúng tôi không biết Người như vậy nữa.\rAi ở trong Ðức Kitô là một thọ sinh mới: những gì cũ đã biến đi: này mọi sự đã được đổi mới.\rVà mọi sự đều do Thiên Chúa là Ðấng giải hòa chúng ta với Người nhờ Ðức Kitô, và đã trao chức vụ giải hòa cho chúng tôi.\rChính Thiên Chúa ở trong Ðức Kitô đã giải hòa thế gian với Người, không còn qui trách tội lỗi cho họ nữa và đã đặt lời giải hòa trên môi miệng chúng tôi.\rVậy chúng tôi là sứ giả thay mặt Ðức Kitô, như là Thiên Chúa dùng chúng tôi mà khuyên bảo vậy.\rNhân danh Ðức Kitô, chúng tôi van nài anh em hãy làm hòa với Thiên Chúa.\rÐấng không hề biết tội lỗi, Thiên Chúa đã làm thành tội vì chúng ta, để trong Ðức Kitô, chúng ta được trở thành sự công chính của Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2, 3-4, 9-10, 11-12","response":"Ðáp: Chúa là Ðấng thương xót và nhân ái","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá bao giờ quên mọi ân huệ của Người. – Ðáp.","Xướng: Người đã tha thứ mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân, Người đội lên đầu ngươi mão từ bi, và ân sủng. – Ðáp.","Xướng: Người không chấp tranh triệt để, cũng không đời đời giữ thế căm hờn. Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi. – Ðáp.","Xướng: Nhưng cũng như trời xanh cao vượt trên trái đất, Lòng nhân hậu Người còn siêu việt hơn thế trên kẻ kính sợ Người. Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi. – Ðáp."]},"alleluia":{"verse":"Lc 19, 38","content":"alleluia! – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến; bình an trên trời và vinh quang trên các tầng trời. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Lạy Thiên Chúa, xin hướng lòng con nghiêng về thánh ý, và thương ban cho con luật pháp Ngài. Alleluia."},"gospel":{"excerpt":"Mt 5, 33-37","info":"“Thầy bảo các con: đừng thề chi cả”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con lại còn nghe dạy người xưa rằng: “Ðừng bội thề, nhưng hãy giữ lời ngươi đã thề với Chúa”. Phần Thầy, Thầy bảo các con: Ðừng thề chi cả, đừng lấy trời mà thề, vì là ngai của Thiên Chúa; đừng lấy đất mà thề, vì là bệ đặt chân của Người; đừng lấy Giêrusalem mà thề, vì là thành của Vua cao cả; cũng đừng chỉ đầu mà thề, vì con không thể làm cho một sợi tóc ra trắng hoặc ra đen được. Nhưng lời các con phải: có thì nói có, không thì nói không; nói thêm thắt là do sự dữ mà ra”.","end":"Ðó là lời Chúa"}},
+        "5111": {"firstReading":{"excerpt":"(Năm I) 2 Cr 6, 1-10","info":"“Chúng tôi chứng tỏ mình là những người phục vụ Thiên Chúa”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, với tư cách là những người cộng sự với Chúa Giêsu, chúng tôi khuyên anh em đừng nhận lấy ơn của Thiên Chúa một cách vô ích. Quả thật Chúa phán: “Dịp thuận tiện đến, Ta đã nhậm lời ngươi, vào ngày cứu thoát, Ta đã cứu vớt ngươi”. Bây giờ là cơ hội thuận tiện, giờ đây là ngày cứu thoát. Chúng tôi không hề làm cớ cho ai phải vấp phạm, để công việc phục vụ của chúng tôi khỏi bị đàm tiếu. Nhưng trong mọi sự, chúng tôi chứng tỏ mình là những người phục vụ Thiên Chúa, với hết lòng kiên nhẫn: trong gian truân thiếu thốn, nguy khốn, đòn vọt, tù đày, biến loạn, khó nhọc, nhịn ăn, nhịn ngủ với lòng thanh khiết, am hiểu, đại lượng, dịu dàng, bằng sức mạnh Thánh Thần, bằng lòng yêu thương không giả dối, bằng lời chân thật, và bằng quyền năng Thiên Chúa; nhờ khí giới công chính bên tả bên hữu; trải qua vinh quang cũng như tủi nhục, tiếng xấu cũng như tiếng tốt, bị coi là phường bịp bợm, mặc dầu là chân thành; bị coi là vô danh, nhưng hằng được biết đến; bị coi là đang giẫy chết, nhưng này chúng tôi vẫn sống; bị coi như bị gia hình, mà nào đã chết đâu; bị coi như phải ưu sầu, nhưng chúng tôi vẫn luôn an vui; bị coi là kẻ nghèo túng, nhưng chúng tôi lại làm cho nhiều người được giàu có; bị coi như không có gì, nhưng chúng tôi làm chủ tất cả.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người","verses":["Xướng:  Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành, để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe. Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 5, 38-42","info":"“Thầy bảo các con: đừng chống cự lại với kẻ hung ác”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đã nghe bảo: “Mắt đền mắt, răng đền răng”. Còn Thầy, Thầy bảo các con: đừng chống cự lại với kẻ hung ác; trái lại, nếu ai vả má bên phải của con, thì hãy đưa má bên kia cho nó nữa. Và ai muốn kiện con để đoạt áo trong của con, thì hãy trao cho nó cả áo choàng nữa. Và ai bắt con đi một dặm, thì con hãy đi với nó hai dặm. Ai xin, thì con hãy cho. Ai muốn vay mượn, thì con đừng khước từ”.","end":"Ðó là lời Chúa"}},
+        "5112": {"firstReading":{"excerpt":"(Năm I) 2 Cr 8, 1-9","info":"“Vì anh em, Ðức Kitô đã nên thân phận nghèo khó”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, chúng tôi tỏ cho anh em biết về ân huệ Thiên Chúa đã ban cho giáo đoàn xứ Macêđônia. Trong nhiều nỗi gian truân thử thách, họ được tràn đầy vui mừng, và cảnh cùng cực thẳm sâu của họ lại trở nên kho tàng phúc hậu. Tôi làm chứng rằng: họ đã tự động nài ép tôi cho họ được ân huệ tham dự vào việc phục vụ các thánh, tuỳ sức họ và quá sức họ nữa. Không phải như chúng tôi hy vọng mà thôi, họ còn đã hiến mình, trước tiên là cho Chúa, sau là cho chúng tôi, chiếu theo ý muốn của Thiên Chúa. Vì thế, chúng tôi cũng đã xin Titô hoàn thành việc nghĩa đó cả nơi anh em nữa, như Titô đã khởi sự trước kia. Nhưng cũng như anh em vượt trổi về mọi mặt: về lòng tin, về hùng biện, về sự hiểu biết, về mọi hình thức nhiệt thành, cũng như về lòng bác ái của anh em, thì anh em cũng phải vượt trổi trong việc phúc đức này.\rTôi nói thế, không phải có ý truyền lệnh đâu, nhưng để nhờ lòng sốt mến của kẻ khác, thử lòng chân thành bác ái của anh em. Vì anh em biết lòng quảng đại của Ðức Giêsu Kitô, Chúa chúng ta, mặc dù giàu sang, Người đã nên thân phận nghèo khó, để nhờ việc nghèo khó của Người, anh em nên giàu có.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 2. 5-6. 7. 8-9a","response":"Ðáp: Linh hồn tôi ơi, hãy ngợi khen Chúa","verses":["Xướng: Linh hồn tôi ơi, hãy ngợi khen Chúa, tôi sẽ ngợi khen Chúa trong cả cuộc đời, bao lâu còn có thân tôi, tôi còn ca ngợi Chúa.","Xướng: Phúc thay người được Thiên Chúa nhà Giacóp phù trợ, người đặt hy vọng vào Chúa là Thiên Chúa của mình: Ngài là Ðấng đã tạo thành trời đất, biển khơi và muôn vật chúng đang chứa đựng, Ngài là Ðấng giữ lòng trung tín muôn đời.","Xướng:  Ðấng trả lại quyền lợi cho người bị ức, và ban cho những người đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội.","Xướng:  Thiên Chúa mở mắt những kẻ đui mù. Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quí các bậc hiền nhân. Thiên Chúa che chở những khách kiều cư."]},"alleluia":{"verse":"Tv 24, 4c và 5a:","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa, và xin hướng dẫn con trong chân lý của Ngài. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! – Chúa nói: Thầy ban cho anh em một điều răn mới, là anh em hãy yêu thương nhau, như Thầy đã yêu thương anh em. Alleluia!"},"gospel":{"excerpt":"Mt 5, 43-48","info":"“Các ngươi hãy yêu thương thù địch”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa phán cùng các môn đệ rằng: “Các con đã nghe dạy: “Ngươi hãy yêu thân nhân, và hãy thù ghét địch thù”. Còn Ta, Ta bảo các con: Hãy yêu thương thù địch và làm ơn cho những kẻ ghét các con, hãy cầu nguyện cho những ai bắt bớ và nguyền rủa các con: để như vậy các con nên con cái Cha các con, Ðấng ngự trên trời: Người khiến mặt trời mọc lên cho người lành kẻ dữ, và cho mưa xuống trên người liêm khiết và kẻ bất lương. Vì nếu các con yêu thương những ai mến trọng các con, thì các con được công phúc gì? Các người thu thuế không làm thế ư? Nếu các con chỉ chào hỏi anh em các con thôi, thì các con đâu có làm chi hơn? Những người ngoại giáo không làm như thế ư? Vậy các con hãy nên hoàn hảo như Cha các con trên trời là Ðấng hoàn hảo”.","end":"Ðó là lời Chúa"}},
+        "5113": {"firstReading":{"excerpt":"(Năm I) 2 Cr 9, 6-11","info":"“Thiên Chúa yêu thương kẻ cho cách vui lòng”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, ai gieo ít, thì gặt ít. Ai gieo nhiều thì gặt nhiều. Mỗi người hãy cho theo như lòng đã định, không phải cách buồn rầu, hoặc miễn cưỡng: Thiên Chúa yêu thương kẻ cho cách vui lòng. Thiên Chúa có quyền cho anh em được dư tràn mọi ân phúc: để anh em vừa luôn luôn sung túc mọi mặt, vừa còn được dư dật để làm các thứ việc phúc đức, như đã chép rằng: “Người đã rộng tay bố thí cho kẻ nghèo khó, đức công chính của Người sẽ tồn tại muôn đời”. Ðấng đã cung cấp hạt giống cho kẻ gieo, và bánh để nuôi mình, thì cũng sẽ cung cấp cho anh em hạt giống dư đầy, và sẽ làm phát triển hoa quả sự công chính của anh em. Như thế, anh em được giàu có mọi bề, để thi hành mọi việc bác ái; qua tay chúng tôi, phúc đức đó sẽ làm phát sinh lời cảm tạ Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 9","response":"Ðáp: Phúc đức thay người tôn sợ Chúa. Hoặc đọc: Alleluia.","verses":["Xướng:  Phúc đức thay người tôn sợ Chúa, người hết lòng ham mộ luật pháp của Ngài. Con cháu ngươi sẽ hùng cường trong Ðất Nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Trong nhà người có tài sản phú quý, và lòng quảng đại người còn mãi muôn đời. Trong u tối người xuất hiện như ánh sáng soi kẻ lòng ngay, người nhân hậu, từ bi và công chính.","Xướng:  Người ban phát và bố thí cho những kẻ nghèo, lòng quảng đại của người muôn đời còn mãi, sừng người được ngẩng lên trong vinh quang."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 6, 1-6. 16-18","info":"“Cha ngươi Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho ngươi“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy cẩn thận, đừng phô trương công đức trước mặt người ta để thiên hạ trông thấy, bằng không, các con mất công phúc nơi Cha các con là Ðấng ở trên trời. Vậy khi các con bố thí, thì đừng thổi loa báo trước, như bọn giả hình làm ở nơi hội đường và phố xá, để cho người ta ca tụng họ. Quả thật, Ta bảo các con, họ đã được thưởng công rồi. Còn con có bố thí, thì làm sao đừng để tay trái biết việc tay phải làm, để việc con bố thí được giữ kín, và Cha con, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho con.\r“Rồi khi các con cầu nguyện, thì cũng chớ làm như những kẻ giả hình: họ ưa đứng cầu nguyện giữa hội đường và các ngả đàng, để thiên hạ trông thấy. Quả thật, Ta bảo các con: họ đã được thưởng công rồi. Còn con khi cầu nguyện, thì hãy vào phòng đóng cửa lại mà cầu xin với Cha con, Ðấng ngự nơi bí ẩn, và Cha con, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho con.\r“Khi các con ăn chay, thì đừng làm như bọn giả hình thiểu não: họ làm cho mặt mũi ủ dột, để có vẻ ăn chay trước mặt người ta. Quả thật, Ta bảo các con, họ đã được thưởng công rồi. Còn con khi ăn chay, hãy xức dầu thơm trên đầu và rửa mặt, để thiên hạ không biết con ăn chay, nhưng chỉ tỏ ra cho Cha con Ðấng ngự nơi bí ẩn, và Cha con thấu suốt mọi bí ẩn, sẽ trả công cho con”.","end":"Ðó là lời Chúa"}},
+        "5114": {"firstReading":{"excerpt":"(Năm I) 2 Cr 11, 1-11","info":"“Tôi đã rao giảng không công cho anh em Tin Mừng của Thiên Chúa”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, phải chi anh em chịu đựng một phần nào sự ngu dại của tôi, chắc là anh em đành chịu đựng: vì tôi yêu mến anh em như Chúa có lòng yêu mến. Tôi đã đính hôn anh em cho một người, như dâng một trinh nữ trong trắng cho Ðức Kitô. Nhưng tôi lại sợ rằng như con rắn đã dùng mưu chước mà cám dỗ bà Evà thế nào thì lòng anh em cũng ra hư đốn, không còn chân thành đối với Ðức Kitô như vậy. Vì nếu có ai đến rao giảng một Ðấng Kitô nào khác mà chúng tôi không hề rao giảng, hay anh em nhận lãnh một Thánh Thần nào khác hoặc một Phúc Âm nào khác không phải như anh em đã nghe, thì chắc là anh em chịu theo ngay. Nhưng tôi nghĩ rằng tôi đã làm việc không thua kém gì các vị tông đồ cả kia đâu. Bởi vì dầu tôi có ăn nói không thanh lịch, nhưng về sự thông biết thì không phải thế đâu, vì trong mọi mặt, chúng tôi đã tỏ cho anh em thấy rõ rồi.\rHay là tôi đã phạm tội gì khi hạ mình không để anh em được nhắc lên? Hoặc vì đã rao giảng không công cho anh em Tin Mừng của Thiên Chúa. Tôi đã bóc lột các giáo đoàn khác, khi lãnh trợ cấp nơi họ, để phục vụ anh em. Khi tôi ở giữa anh em, mà phải lâm cảnh túng thiếu, tôi đã không làm phiền lòng ai: vì tôi có thiếu thốn điều gì, thì các anh em ở Macêđônia đến giúp đỡ cho. Trong mọi sự, tôi đã giữ mình không làm phiền lòng ai, sau này, tôi vẫn giữ mình như thế. Ðã có sự thật của Ðức Kitô trong tôi, nên tôi không để ai giựt khỏi tôi được sự tôi khoe như thế trong khắp miền Akaia. Vì sao thế? Có phải vì tôi không yêu mến anh em chăng? Ðã có Thiên Chúa biết.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 7-8","response":"Ðáp: Lạy Chúa, công cuộc tay Chúa làm ra đều chân thật và công chính. Hoặc đọc: Alleluia.","verses":["Xướng:  Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi!","Xướng: Công cuộc của Chúa là sự hùng vĩ oai nghiêm, và đức công minh của Ngài muôn đời tồn tại. Chúa đã làm những điều lạ lùng đáng nhớ, Người thực là Ðấng nhân hậu từ bi.","Xướng: Công cuộc tay Chúa làm ra đều chân thật và công chính, mọi giới răn của Người đều đáng cậy tin. Những giới răn đó được lập ra cho tới muôn ngàn đời, được ban hành một cách chân thành và đoan chánh."]},"alleluia":{"verse":"Tv 144, 13bc","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mt 6, 7-15","info":"“Vậy các ngươi hãy cầu nguyện như thế này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Khi cầu nguyện, các con đừng nhiều lời như dân ngoại: họ nghĩ là phải nói nhiều mới được chấp nhận. Ðừng làm như họ, vì Cha các con biết rõ điều các con cần, ngay cả trước khi các con xin. Vậy các con hãy cầu nguyện như thế này:\r“Lạy Cha chúng con ở trên trời, chúng con nguyện danh Cha cả sáng, nước Cha trị đến, ý Cha thể hiện dưới đất cũng như trên trời. Xin Cha cho chúng con hôm nay lương thực hằng ngày, và tha nợ chúng con, như chúng tôi cũng tha kẻ có nợ chúng con, xin chớ để chúng con sa chước cám dỗ, nhưng cứu chúng con cho khỏi sự dữ. Amen.\r“Vì nếu các con có tha thứ cho người ta những lầm lỗi của họ, thì Cha các con, Ðấng ngự trên trời, mới tha thứ cho các con. Nếu các con không tha thứ cho người ta, thì Cha các con cũng chẳng tha thứ lỗi lầm cho các con”.","end":"Ðó là lời Chúa"}},
+        "5115": {"firstReading":{"excerpt":"(Năm I) 2 Cr 11, 18. 21b-30","info":"“Không kể những việc bên ngoài, lại còn những việc thúc bách hằng ngày và mối lo lắng đến các Giáo hội”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, vì có nhiều kẻ khoe khoang về xác thịt, thì tôi đây, tôi cũng sẽ tự khoe khoang. Tôi xin nói như điên dại rằng: ai tự phụ về điều gì, thì tôi cũng tự phụ như vậy. Họ là những người Do-thái, thì tôi cũng vậy; họ là những người Israel, thì tôi cũng vậy; họ là dòng dõi Abraham, thì tôi cũng vậy; họ là tôi tớ Ðức Kitô, tôi xin nói như mê sảng rằng: tôi còn hơn họ nữa, tôi đã chịu khó nhọc hơn, năng bị tù hơn, chịu đòn vọt quá mức, liều mình chết nhiều lần, bị người Do-thái đánh đòn năm lần, mỗi lần kém một roi đầy bốn chục. Ba lần bị tra tấn, một lần bị ném đá, ba lần bị đắm tàu, và một ngày một đêm chơi vơi ngoài biển khơi. Hành trình thường xuyên, gặp nhiều nguy hiểm vì sông ngòi, nguy hiểm vì trộm cướp, nguy hiểm vì người đồng chủng, nguy hiểm vì người dân ngoại, nguy hiểm trong thành phố, nguy hiểm trên rừng, nguy hiểm ngoài biển cả, nguy hiểm bởi những anh em giả; chịu lao đao vất vả, hay phải thức khuya, đói khát, hay phải nhịn ăn, chịu lạnh rét, mình trần. Không kể những việc bên ngoài, lại còn những việc thúc bách hằng ngày, và mối lo lắng đến các giáo hội. Nào ai yếu đuối mà tôi không yếu đuối? Nào ai vấp phạm mà tôi chẳng xót xa? Nếu phải khoe khoang, thì tôi sẽ khoe khoang những yếu đuối của tôi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7","response":"Ðáp: Thiên Chúa cứu người hiền đức khỏi mọi nỗi lo âu (x. c. 18b).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! – Phúc thay ai có tâm hồn nghèo khó, vì Nước Trời là của họ. Alleluia."},"gospel":{"excerpt":"Mt 6, 19-23","info":"“Kho tàng con ở đâu, thì lòng con cũng ở đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đừng tích trữ cho mình kho tàng dưới đất: là nơi ten sét mối mọt sẽ làm hư nát, và trộm cướp sẽ đào ngạch lấy mất, nhưng các con hãy tích trữ cho mình kho tàng trên trời: là nơi không có ten sét, mối mọt không làm hư nát, trộm cướp không đào ngạch lấy mất: Vì kho tàng con ở đâu, thì lòng con cũng ở đó. Con mắt là đèn soi cho thân xác con. Nếu mắt con trong sáng, thì toàn thân con được sáng. Nhưng nếu mắt con xấu kém, thì toàn thân con phải tối tăm. Vậy nếu sự sáng trong con tối tăm, thì chính sự tối tăm, sẽ ra tối tăm biết chừng nào?”","end":"Ðó là lời Chúa"}},
+        "5116": {"firstReading":{"excerpt":"(Năm I) 2 Cr 12, 1-10","info":"“Tôi sẽ khoe khoang những yếu đuối của tôi”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, nếu phải khoe mình, – thật chẳng có ích gì, – thì tôi sẽ nói đến những thị kiến và những mạc khải Chúa tỏ ra. Tôi biết có người kia trong Ðức Kitô, cách đây mười bốn năm, lúc bấy giờ có ở trong thể xác, tôi không biết, hoặc ở ngoài thân xác, tôi cũng không biết, có Chúa biết, người ấy được đem lên tầng trời thứ ba. Và tôi biết rằng: lúc bấy giờ, người ấy có ở trong thân xác hay ở ngoài thân xác, tôi không biết, có Thiên Chúa biết, đã được đem lên Thiên Ðàng, và được nghe những lời mầu nhiệm không được nói với loài người. Vì người ấy, tôi sẽ khoe mình: nhưng tôi sẽ không khoe mình vì tôi về một điều gì, ngoài những sự yếu đuối của tôi. Vì nếu tôi muốn khoe mình, tôi sẽ không ngu dại, bởi tôi sẽ nói sự thật, nhưng tôi xin miễn, kẻo có người đánh giá tôi cao hơn điều họ thấy hoặc nghe về tôi. Và để những mạc khải cao siêu không làm cho tôi tự cao tự đại, thì một cái dằm đâm vào thịt tôi, một thần sứ của Satan vả mặt tôi. Vì thế, đã ba lần tôi van nài Chúa để nó rời khỏi tôi. Nhưng Người phán cùng tôi rằng: “Ơn Ta đủ cho ngươi, vì sức mạnh của Ta được tỏ bày trong sự yếu đuối”.\rVậy tôi rất vui sướng về những sự yếu hèn của tôi, để sức mạnh của Ðức Kitô ngự trong tôi. Vì thế, tôi vui thoả trong sự yếu hèn của tôi, trong sự lăng nhục, quẫn bách, bắt bớ, khốn khó vì Ðức Kitô: bởi khi tôi yếu đuối, chính là lúc tôi mạnh mẽ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 8-9. 10-11. 12-13","response":"Ðáp: Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao (c. 9a).","verses":["Xướng: Thiên Thần Chúa hạ trại đồn binh, chung quanh những người sợ Chúa và bênh chữa họ. Các bạn hãy nếm thử và hãy nhìn coi, cho biết Chúa thiện hảo nhường bao, phúc đức ai tìm nương tựa ở nơi Người.","Xướng: Các thánh nhân của Chúa, hãy tôn sợ Chúa, vì người tôn sợ Chúa chẳng thiếu thốn chi. Bọn sang giàu đã sa cơ nghèo đói, nhưng người tìm Chúa chẳng thiếu chi thiện hảo.","Xướng: Các đệ tử ơi, hãy lại đây, hãy nghe ta, ta sẽ dạy cho các con biết tôn sợ Chúa. Ai là người yêu quý cuộc đời, mong sống lâu để hưởng nhiều phúc lộc."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mt 6, 24-34","info":"“Các con chớ áy náy lo lắng về ngày mai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không ai có thể làm tôi hai chủ: vì hoặc nó sẽ ghét người này, và yêu mến người kia, hoặc nó chuộng chủ này, và khinh chủ nọ. Các con không thể làm tôi Thiên Chúa và Tiền Của được. Vì thế, Thầy bảo các con: Chớ áy náy lo lắng cho mạng sống mình: lấy gì mà ăn; hay cho thân xác các con: lấy gì mà mặc. Nào mạng sống không hơn của ăn, và thân xác không hơn áo mặc sao?\r“Hãy nhìn xem chim trời, chúng không gieo, không gặt, không thu vào lẫm, thế mà Cha các con trên trời vẫn nuôi chúng. Nào các con không hơn chúng sao? Nào có ai trong các con lo lắng áy náy mà có thể làm cho mình cao thêm một gang được ư? Còn về áo mặc, các con lo lắng làm gì? Hãy ngắm xem hoa huệ ngoài đồng coi chúng mọc lên thế nào? Chúng không làm lụng, không canh cửi. Nhưng Thầy nói với các con rằng: Ngay cả Salomon trong tất cả vinh quang của ông, cũng không phục sức được bằng một trong những đoá hoa đó. Vậy nếu hoa cỏ đồng nội, nay còn, mai bị ném vào lò lửa, mà còn được Thiên Chúa mặc cho như thế, huống chi là các con, hỡi những kẻ kém lòng tin. Vậy các con chớ áy náy lo lắng mà nói rằng: “Chúng ta sẽ ăn gì, uống gì hoặc sẽ lấy gì mà mặc? Vì chưng, dân ngoại tìm kiếm những điều đó. Nhưng Cha các con biết rõ các con cần đến những điều đó. Tiên vàn các con hãy tìm kiếm nước Thiên Chúa và sự công chính của Người, còn các điều đó Người sẽ ban thêm cho các con. Vậy các con chớ áy náy lo lắng về ngày mai. Vì ngày mai sẽ lo cho ngày mai. Ngày nào có sự khốn khổ của ngày ấy”.","end":"Ðó là lời Chúa"}},
+        "5121": {"firstReading":{"excerpt":"(Năm I) St 12, 1-9","info":"“Abram ra đi như Chúa đã truyền dạy”.","title":"Trích sách Sáng Thế.","content":"Khi ấy, Chúa phán cùng Abram rằng: “Ngươi hãy từ bỏ quê hương, họ hàng và nhà cửa cha ngươi mà đi đến xứ Ta chỉ cho. Ta sẽ cho ngươi thành một dân lớn; Ta sẽ chúc lành cho ngươi, và Ta sẽ cho danh ngươi nên lớn lao, ngươi sẽ là một mối chúc lành. Ta sẽ chúc lành cho những ai chúc lành cho ngươi, và sẽ chúc dữ cho ai chúc dữ cho ngươi. Nơi ngươi mọi dân nước sẽ được chúc phúc”.\rAbram ra đi như Chúa đã truyền dạy, và có ông Lót đi theo. Khi bỏ đất Haran, Abram được bảy mươi lăm tuổi. Ông đem Sarai, vợ ông, và Lót là cháu, cùng với tất cả tài sản và gia nhân mà họ có ở Haran. Họ ra đi đến đất Canaan. Khi họ tới nơi, Abram rảo qua các xứ cho đến Sikem, thung lũng thời danh. Bấy giờ người Canaan đang ở xứ này.\rChúa đã hiện ra với Abram và phán rằng: “Ta sẽ ban đất này cho dòng dõi ngươi”. Ông đã dựng ở đó một bàn thờ kính Thiên Chúa, Ðấng đã hiện ra với ông. Rồi từ nơi ấy, ông đi đến núi ở phía đông Bêthel mà cắm trại: phía tây của trại là Bêthel và phía đông là Hai. Ông cũng dựng ở đó một bàn thờ kính Chúa, và khấn cầu danh Chúa. Abram cứ tiến dần mãi về (Nageb ở) phía nam.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 12-13. 18-19. 20 và 22","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình","verses":["Xướng:  Phúc thay quốc gia mà Chúa là Chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Tự trời cao Chúa nhìn xuống, Người xem thấy hết thảy con cái người ta.","Xướng:  Kìa Chúa để mắt coi những kẻ kính sợ Người, nhìn xem những ai cậy trông ân sủng của Người, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn.","Xướng: Linh hồn chúng con mong đợi Chúa, chính Ngài là Ðấng phù trợ và che chở chúng con. Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mt 7, 1-5","info":"“Hãy lấy cái đà khỏi mắt ngươi trước đã”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đừng đoán xét để khỏi bị đoán xét. Các con đoán xét thể nào thì các con cũng bị đoán xét như vậy. Các con dùng đấu nào mà đong, thì cũng sẽ đong lại cho các con bằng đấu ấy. Sao ngươi thấy cái rác trong mắt anh em, mà không thấy cái đà trong mắt ngươi? Hoặc sao ngươi bảo anh em: “Ðể tôi lấy cái rác ra khỏi mắt anh”, và này: cái đà đang ở trong mắt ngươi. Ðồ giả hình, hãy lấy cái đà khỏi mắt ngươi trước đã, rồi ngươi sẽ thấy rõ để lấy cái rác ra khỏi mắt anh em ngươi”.","end":"Ðó là lời Chúa"}},
+        "5122": {"firstReading":{"excerpt":"(Năm I) St 13, 2. 5-18","info":"“Bác không muốn có sự bất bình giữa bác và cháu: vì chúng ta là anh em với nhau”.","title":"Trích sách Sáng Thế.","content":"Bấy giờ Abram rất giàu, có nhiều vàng bạc. Ông Lót, người đi với Abram, cũng có nhiều đàn chiên, bò và lều trại. Miền đó không đủ chỗ cho cả hai cùng ở, vì họ có nhiều tài sản, nên không thể ở chung với nhau. Bởi thế các người chăn chiên của Abram và của Lót hay xảy ra cãi lẫy nhau. Khi ấy dân Canaan và dân Phêrêzê ở miền này.\rVậy Abram nói cùng Lót rằng: “Bác không muốn có sự bất bình giữa bác và cháu, giữa các người chăn chiên của chúng ta, vì chúng ta là anh em với nhau. Trước mặt cháu có cả một miền rộng rãi, xin cháu hãy lìa khỏi bác: nếu cháu đi bên tả, thì bác sẽ đi bên hữu; nếu cháu chọn phía tay phải, thì bác sẽ đi về phía tay trái”. Vậy Lót ngước mắt lên trông thấy cả miền đồng bằng sông Giođan, có nước dồi dào. (Trước khi Chúa huỷ diệt thành Sôđôma và Gômôra, cả miền ấy và phía Segor như vườn địa đàng của Chúa và như đất Ai-cập). Lót chọn miền đồng bằng sông Giođan và đi về phía đông. Thế là hai bác cháu lìa xa nhau. Abram ở lại đất Canaan, còn Lót ở các đô thị gần sông Giođan, và cư ngụ tại Sôđôma. Dân thành Sôđôma rất xấu xa, vì quá tội lỗi trước mặt Chúa.\rSau khi Lót đi rồi, Chúa phán cùng Abram rằng: “Hãy ngước mặt lên và từ nơi ngươi đang ở, hãy nhìn tứ phía: đông tây nam bắc. Tất cả đất mà ngươi trông thấy, Ta sẽ ban vĩnh viễn cho ngươi và dòng dõi ngươi. Ta sẽ làm cho con cháu ngươi đông như bụi đất. Nếu ai có thể đếm được bụi đất thì mới có thể đếm được con cháu ngươi. Hãy chỗi dậy và đi khắp miền này, vì chưng Ta sẽ ban miền này cho ngươi”. Bởi vậy Abram di chuyển lều trại đến ở thung lũng Mambrê, thuộc miền Hebron, và dựng bàn thờ kính Chúa ở đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","response":"Ðáp: Lạy Chúa, ai sẽ được ở trong đền tạm Chúa?","verses":["Xướng: Người sống thanh liêm và thực thi công chính, và trong lòng suy nghĩ điều ngay, và lưỡi không bịa lời vu khống.","Xướng:  Người không làm ác hại đồng liêu, cũng không làm nhục cho ai lân cận. Người coi rẻ đứa bất nhân, nhưng kính yêu những ai tôn sợ Chúa.","Xướng: Người không xuất tiền đặt nợ thu lời, cũng không ăn hối lộ hại người hiền lương. Người thực thi những điều kể đó, thì muôn đời chẳng có lung lay."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 7, 6. 12-14","info":"“Tất cả những gì các con muốn người ta làm cho các con, thì hãy làm cho người ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ðừng lấy của thánh mà cho chó, và đừng vất ngọc trai trước mặt heo, kẻo chúng giày đạp dưới chân, rồi quay lại cắn xé các con.\r“Vậy tất cả những gì các con muốn người ta làm cho các con, thì chính các con hãy làm cho người ta như thế! Ðấy là điều mà lề luật và các tiên tri dạy.\r“Các con hãy vào qua cửa hẹp, vì cửa rộng và đường thênh thang là lối đưa đến hư mất, và có nhiều kẻ đi lối ấy; cửa và đường đưa tới sự sống thì chật hẹp, và ít kẻ tìm thấy”.","end":"Ðó là lời Chúa"}},
+        "5123": {"firstReading":{"excerpt":"(Năm I) St 15, 1-12. 17-18","info":"“Abram tin vào Thiên Chúa và vì đó, ông được công chính”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, có lời Chúa phán cùng Abram trong thị kiến rằng: “Hỡi Abram, ngươi chớ sợ, Ta là Ðấng phù trợ và là phần thưởng rất bội hậu cho ngươi”. Abram thưa rằng: “Lạy Chúa là Thiên Chúa, Ngài sẽ ban cho con điều gì? Con sẽ qua đi mà không có con; chỉ có Eliêzer này, người Ðamas, con của người giúp việc gia đình con”. Abram nói tiếp rằng: “Chúa không cho con sinh con; đây con của người giúp việc sẽ là kẻ nối nghiệp con”. Tức thì có lời Chúa phán cùng ông rằng: “Chẳng phải người này sẽ là kẻ nối nghiệp ngươi, nhưng là chính người con ngươi sinh ra, sẽ là kẻ nối nghiệp ngươi”. Thiên Chúa dẫn Abram ra ngoài và nói với ông: “Ngươi hãy ngước mắt lên trời, và nếu có thể được, hãy đếm các ngôi sao”. Rồi Chúa nói tiếp: “Miêu duệ của ngươi sẽ đông đảo như thế”. Abram tin vào Thiên Chúa và vì đó, ông được công chính.\rVà Chúa lại nói: “Ta là Chúa, Ðấng dẫn dắt ngươi ra khỏi thành Ur của dân Calđê, để ban cho ngươi xứ này làm gia nghiệp”. Abram thưa rằng: “Lạy Chúa là Thiên Chúa, làm sao con có thể biết con sẽ được xứ đó làm gia nghiệp?” Chúa đáp: “Ngươi hãy bắt một con bò cái ba tuổi, một con dê cái ba tuổi, một con cừu đực ba tuổi, một con chim gáy mái và một con bồ câu non”. Abram bắt tất cả những con vật ấy, chặt ra làm đôi, đặt phân nửa này đối diện với phân nửa kia: nhưng ông không chặt đôi các con chim. Các mãnh cầm lao xuống trên những con vật vừa bị giết, song ông Abram đuổi chúng đi.\rLúc mặt trời lặn, Abram ngủ mê; một cơn sợ hãi khủng khiếp và u tối bao trùm lấy ông. Khi mặt trời đã lặn rồi, bóng tối mù mịt phủ xuống, có một chiếc lò bốc khói và một khối lửa băng qua giữa những phần con vật chia đôi. Trong ngày đó, Chúa đã thiết lập giao ước với Abram mà nói rằng: “Ta ban xứ này cho miêu duệ ngươi, từ sông Ai-cập cho đến sông Euphrát”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7. 8-9","response":"Ðáp: Tới muôn đời Chúa vẫn nhớ lời minh ước. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ca tụng Chúa, hãy hoan hô danh Ngài, hãy kể ra sự nghiệp Chúa ở giữa chư dân. Hãy xướng ca, đàn hát mừng Người, hãy tường thuật mọi điều kỳ diệu của Chúa.","Xướng: Hãy tự hào vì danh thánh của Người, tâm hồn những ai tìm Chúa, hãy mừng vui. Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn.","Xướng: Hỡi miêu duệ Abraham là tôi tớ của Người, hỡi con cháu Giacóp, những kẻ được Người kén chọn. Chính chúa là Thiên Chúa chúng ta, quyền cai trị của Người bao trùm khắp cả địa cầu.p.","Xướng: Tới muôn đời Người vẫn nhớ lời minh ước, lời hứa mà Người đã an bài tới muôn thế hệ, lời minh ước Người đã ký cùng Abraham, lời thề hứa Người đã thề với Isaac."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Mt 7, 15-20","info":"“Hãy xem quả thì các con sẽ biết chúng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hãy coi chừng các tiên tri giả. Họ mặc lốt chiên đến cùng các con, nhưng bên trong, họ là sói dữ hay cắn xé. Hãy xem quả thì các con sẽ biết được chúng. Nào ai hái được trái nho nơi bụi gai, hoặc trái vả nơi bụi găng sao? Cũng thế, cây tốt thì sinh trái tốt, còn cây xấu thì sinh trái xấu. Cây tốt không thể sinh trái xấu, và cây xấu không thể sinh trái tốt. Các cây không sinh trái tốt sẽ bị chặt đi và ném vào lửa. Vậy coi trái thì các con sẽ nhận biết được chúng”.","end":"Ðó là lời Chúa"}},
+        "5124": {"firstReading":{"excerpt":"(Năm I) St 16, 1-12. 15-16","info":"“Agar đã sinh cho Abraham một con trai và ông gọi nó là Ismael”.","title":"Trích sách Sáng Thế.","content":"Bà Sarai vợ ông Abram không sinh con, nhưng bà có một nữ tỳ người Ai-cập, tên là Agar, bà đã nói cùng ông rằng: “Này, Chúa không cho tôi sinh con, ông hãy ăn ở với nữ tỳ của tôi, may ra nhờ nó, tôi có con cháu”. Và Abram nghe theo lời bà Sarai. Ðã mười năm trời, từ ngày ông bà đến ở đất Canaan, bà Sarai chọn Agar, người Ai-cập làm nữ tỳ, rồi trao cho chồng làm nàng hầu: ông đã ăn ở với nàng. Nhưng khi nàng thấy mình thụ thai thì khinh dể bà chủ. Sarai nói cùng Abram rằng: “Ông đối xử bất công với tôi. Tôi đã trao đứa nữ tỳ tôi vào tay ông, từ khi nó thấy mình thụ thai, liền khinh dể tôi. Xin Chúa xét xử giữa tôi và ông”. Abram trả lời rằng: “Này, nữ tỳ của bà vẫn ở dưới quyền bà, bà muốn xử với nó thế nào mặc ý”. Sarai hành hạ Agar cho đến nỗi nàng trốn đi.\rThiên thần Chúa gặp nàng trong rừng vắng gần suối nước, dọc đường đi về đất Sur trong hoang địa. Thiên thần hỏi nàng rằng: “Agar, nữ tỳ của Sarai, ngươi từ đâu đến và toan đi đâu?” Nàng đáp: “Tôi trốn Sarai, bà chủ tôi”. Thiên thần Chúa bảo nàng rằng: “Hãy trở về với bà chủ ngươi, và tùng phục bà”. Thiên thần Chúa nói tiếp: “Ta sẽ tăng số con cháu ngươi nhiều không thể đếm được”. Và nói thêm rằng: “Này ngươi đã thụ thai và sẽ sinh một con trai, ngươi sẽ đặt tên cho nó là Ismael, vì Chúa đã nghe biết sự khốn khó của ngươi. Trẻ này sẽ là đứa hung dữ: nó đưa tay chống đối mọi người và mọi người sẽ chống lại nó. Nó sẽ cắm lều đối diện với các anh em”. Agar đã sinh con trai, Abram đặt tên nó là Ismael. Abram được tám mươi sáu tuổi khi Agar sinh Ismael. \r Đó là Lời Chúa. \r(Hoặc bài vắn: St 16, 6-12. 15-16)\rAbram trả lời Sarai rằng: “Này, nữ tỳ của bà vẫn ở dưới quyền bà, bà muốn xử với nó thế nào mặc ý”. Sarai hành hạ Agar cho đến nỗi nàng trốn đi. Thiên thần Chúa gặp nàng trong rừng vắng gần suối nước, dọc đường đi về đất Sur trong hoang địa. Thiên thần hỏi nàng rằng: “Agar, nữ tỳ của Sarai, ngươi từ đâu đến và toan đi đâu?” Nàng đáp: “Tôi trốn Sarai, bà chủ tôi”. Thiên thần Chúa bảo nàng rằng: “Hãy trở về với bà chủ ngươi, và tùng phục bà”. Thiên thần Chúa nói tiếp: “Ta sẽ tăng số con cháu ngươi nhiều không thể đếm được”. Và nói thêm rằng: “Này ngươi đã thụ thai và sẽ sinh một con trai, ngươi sẽ đặt tên cho nó là Ismael, vì Chúa đã nghe biết sự khốn khó của ngươi. Trẻ này sẽ là đứa hung dữ: nó đưa tay chống đối mọi người và mọi người sẽ chống lại nó. Nó sẽ cắm lều đối diện với các anh em”. Agar đã sinh con trai, Abram đặt tên nó là Ismael. Abram được tám mươi sáu tuổi khi Agar sinh Ismael.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 1-2. 3-4a. 4b-5","response":"Ðáp: Hãy ca tụng Chúa, vì Người nhân hậu (c. 1a). Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ca tụng Chúa, bởi Người nhân hậu, vì đức từ bi Người tồn tại muôn đời. Ai nói hết được những hành động quyền năng của Chúa, ai kể cho xiết mọi lời ngợi khen Người? – Ðáp.","Xướng: Phúc cho những ai tuân giữ những lời huấn lệnh, và luôn luôn thực thi điều công chính. Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Ngài. – Ðáp.","Xướng: Xin mang ơn cứu độ đến thăm viếng chúng con, để chúng con hân hoan vì hạnh phúc những người Chúa chọn, được chung vui bởi niềm vui của dân Ngài, và được hãnh diện cùng phần gia nghiệp của Ngài. – Ðáp."]},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"alleluia! – Ngôi lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 7, 21-29","info":"“Nhà xây trên nền đá và nhà xây trên cát”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không phải tất cả những ai nói với Thầy: “Lạy Chúa, Lạy Chúa”, là được vào nước trời, nhưng chỉ có người thực hiện ý Cha Thầy ở trên trời, kẻ ấy mới được vào nước trời. Trong ngày đó, nhiều người sẽ nói với Thầy rằng: “Lạy Chúa, Lạy Chúa, nào chúng con đã không nhân danh Chúa mà nói tiên tri, nhân danh Chúa mà trừ quỷ, và nhân danh Chúa mà làm nhiều phép lạ đó ư?” Và bấy giờ Thầy sẽ tuyên bố với chúng rằng: “Ta chẳng hề biết các ngươi, hỡi những kẻ làm điều gian ác, hãy lui ra khỏi mặt Ta”.\r“Vậy ai nghe những lời Thầy nói đây và đem thực hành, thì giống như người khôn ngoan, đã xây nhà mình trên đá; mưa có đổ xuống, nước có tràn vào, gió bão có thổi đến và lùa vào nhà đó, nhà đó vẫn không sập, vì nhà ấy được xây trên đá. Và hễ ai nghe những lời Thầy nói đây mà không đem ra thực hành, thì giống như người ngu đần, xây nhà mình trên cát, khi mưa sa nước lũ, gió thổi và lùa vào nhà đó, nhà sẽ sập và sẽ trở nên đống hoang tàn”.\rKhi Chúa đã nói xong những lời trên, dân chúng kinh ngạc về giáo lý của Người: vì Người dạy dỗ họ như Ðấng có quyền, chứ không như luật sĩ và các biệt phái của họ.","end":"Ðó là lời Chúa"}},
+        "5125": {"firstReading":{"excerpt":"(Năm I) St 17,1.9-10.15-22","info":"“Mọi đứa con sẽ chịu cắt bì để làm dấu giao ước. Sara sẽ sinh cho ngươi đứa con trai”.","title":"Bài trích sách Sáng Thế.","content":"Khi Abram vừa được chín mươi chín tuổi, Chúa hiện ra với ông và phán bảo ông rằng: “Ta là Chúa toàn năng, hãy đi trước mặt Ta và hãy nên trọn lành”.\rChúa lại phán bảo Abram rằng: “Vậy ngươivà dòng dõi ngươi qua muôn thế hệ, hãy giữ giao ước của Ta. Ðây là giao ước phải giữ giữa Ta với ngươi, nghĩa là dòng dõi ngươi sau này: Tất cả con trai của các ngươi sẽ chịu cắt bì”.\rChúa lại bảo Abraham rằng: “Ngươi sẽ không còn gọi Sarai vợ ngươi là Sarai nữa, nhưng gọi là Sara. Ta sẽ chúc phúc cho Sara; và Sara sẽ sinh một con trai; Ta sẽ chúc phúc đứa con đó, nó sẽ làm đầu nhiều dân, và do nó sẽ sinh ra nhiều vua nhiều nước”.\rAbraham cúi mặt cười, nghĩ trong lòng rằng: “Già đã trăm tuổi mà còn có con được sao? Sara đã chín mươi tuổi sẽ sinh con ư?”\rRồi ông thưa cùng Chúa: “Xin Chúa cho Ismael được sống trước mặt Chúa!”\rChúa phán bảo Abraham rằng: “Sara vợ ngươi sẽ sinh cho ngươi một con trai, ngươi đặt tên nó là Asaac. Ta sẽ lập giao ước muôn đời với nó, và dòng dõi nó. Ta cũng nghe lời ngươi cầu cho Ismael: này Ta sẽ chúc phúc cho nó sinh sản nhiều. Nó sẽ sinh ra mười hai tướng quân, và Ta sẽ làm cho nó nên một dân tộc lớn. Còn lời giao ước của Ta chỉ ký kết với Isaac, do Sara sẽ sinh ra cho ngươi mùa này sang năm”.\rSau khi nói hết lời cùng Abraham, Thiên Chúa biến đi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"127,1-2,3,4-5","response":"Ðáp: Ðó là ơn phúc dành cho người kính sợ Chúa.","verses":["Xướng: Phúc cho ai biết kính sợ Chúa, và bước đi trong đường lối Người. Ngươi sẽ hưởng công khó của tay ngươi, ngươi có phúc và sẽ được may mắn.","Xướng: Vợ ngươi như cây nho sai trái, trong nội cung gia thất nhà ngươi. Con cái ngươi như chồi non cây dầu ở chung quanh bàn ăn của ngươi.","Xướng: Ðó là ơn phúc dành cho người kính sợ Chúa. Từ Sion xin Chúa chúc lành cho ngươi. Chúc ngươi thấy Giêrusalem thịnh đạt suốt mọi ngày trong đời sống của ngươi."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mt 8, 1-4","info":"“Nếu Ngài muốn, Ngài có thể chữa tôi được sạch”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi Chúa Giêsu ở trên núi xuống, đám đông dân chúng theo Người. Có một người cùi đến lạy Người mà thưa rằng: “Lạy Ngài, nếu Ngài muốn, Ngài có thể chữa tôi được sạch”. Chúa Giêsu giơ tay ra chạm đến anh ta và phán: “Ta muốn. Anh hãy lành bệnh”. Tức thì anh ta liền lành khỏi bệnh phong cùi. Chúa Giêsu phán bảo anh ta: “Hãy ý tứ, đừng nói với ai. Hãy đi trình diện với tư tế và dâng của lễ theo luật Môsê để minh chứng cho họ biết”.","end":"Ðó là lời Chúa"}},
+        "5126": {"firstReading":{"excerpt":"(Năm I) St 18, 1-15","info":"“Ðối với Thiên Chúa có gì khó đâu. Ta trở lại thăm ông và Sara được một đứa con trai”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Chúa hiện ra cùng Abraham dưới chòm cây ở Mambrê, đang lúc ông ngồi ở cửa lều giữa trưa nóng bức. Ông ngước mặt lên thấy ba người nam xuất hiện, đứng gần ông. Vừa trông thấy, từ cửa lều, ông chạy ra đón các vị ấy, rồi sấp mình lạy và thưa rằng: “Lạy Chúa, nếu con được đẹp lòng Chúa, xin đừng bỏ đi qua. Con xin lấy ít nước để các Ðấng rửa chân, và nghỉ mát. Con xin đem ít bánh mời các Ðấng dùng để lấy sức lại rồi sẽ đi: chính vì thế mà các Ðấng đã ghé vào nhà con”. Các Ðấng ấy nói: “Như ông đã ngỏ, xin cứ làm”.\rAbraham liền vào lều và bảo Sara rằng: “Hãy mau mau trộn ba đấu bột làm bánh nướng”. Còn ông, ông chạy đến đàn bò bắt một con bê non hảo hạng, trao cho đầy tớ đem đi nấu. Ông lấy bơ sữa và thịt bê đã chín, dọn ra trước mặt các Ðấng. Chính ông đứng hầu các Ðấng dưới bóng cây.\rĂn xong, các Ðấng hỏi Abraham rằng: “Sara bạn ông đâu?” Ông trả lời: “Kìa, bạn con ở trong lều”. Một Ðấng nói tiếp: “Ðộ này sang năm, khi Ta trở lại thăm ông, thì cả hai vẫn còn mạnh khoẻ, và Sara bạn ông sẽ được một con trai”. Sara đứng sau cửa lều nghe vậy thì bật cười, vì cả hai đã già nua tuổi tác: Sara đã qua thời kỳ sinh nở. Bà cười thầm rằng: “Tôi đã già, ông nhà tôi đã lão, nào tôi còn tìm lạc thú nữa sao!” Chúa phán cùng Abraham rằng: “Sao Sara lại cười mà rằng: “Nào tôi đã già mà còn sinh nở được sao?” Ðối với Chúa, có gì khó đâu? Theo đúng kỳ hẹn, độ này sang năm, Ta sẽ trở lại thăm ông, cả hai vẫn còn khoẻ mạnh, và Sara sẽ được một con trai”. Sara chối mà rằng: “Con không có cười”, bởi vì bà khiếp sợ. Nhưng Chúa đáp lại: “Không đúng, bà có cười”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1, 46-47. 48-49. 50 và 53. 54-55","response":"Ðáp: Chúa đã nhớ lại lòng từ bi của Chúa .","verses":["Xướng: Ðức Maria đã nói: Linh hồn tôi ca ngợi Chúa, và thần trí tôi hoan hỉ vui mừng trong Thiên Chúa, Ðấng Cứu Ðộ tôi.","Xướng: Bởi Người đã nhìn đến phận hèn tôi tớ; thực từ đây, thiên hạ muôn đời sẽ khen rằng tôi phước đức, vì Ðấng đã làm cho tôi những điều trọng đại, Người quyền năng và danh Người là Thánh.","Xướng: Ðức từ bi Người từ đời nọ tới đời kia dành cho những ai kính sợ Người. Kẻ đói khát, Người cho đầy thiện hảo; bọn giàu sang, Người đuổi về tay không.","Xướng: Chúa đã nhận săn sóc Israel tôi tớ Chúa, bởi nhớ lại lòng từ bi của Người. Như Người đã hứa cùng tổ phụ chúng tôi, dành cho Abraham và miêu duệ ông tới muôn đời."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 8, 5-17","info":"“Những người từ phương đông và phương tây sẽ đến trong nước trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu vào thành Capharnaum, thì có một đại đội trưởng đến thưa Chúa rằng: “Lạy Thầy, thằng nhỏ nhà tôi đau nằm ở nhà, nó bị tê liệt đau đớn lắm!” Chúa Giêsu phán bảo ông rằng: “Tôi sẽ đến chữa nó”. Nhưng viên đại đội trưởng thưa Người rằng: “Lạy Thầy, tôi không đáng được Thầy vào dưới mái nhà tôi, nhưng xin Thầy chỉ phán một lời, thì thằng nhỏ của tôi sẽ lành mạnh. Vì chưng, cũng như tôi chỉ là người ở dưới quyền, nhưng tôi cũng có những người lính thuộc hạ, tôi bảo người này đi thì anh đi, tôi bảo người kia đến thì anh đến, tôi bảo gia nhân làm cái này thì nó làm!” Nghe vậy, Chúa Giêsu ngạc nhiên và nói với những kẻ theo Người rằng: “Quả thật, Ta bảo các ngươi, Ta không thấy một lòng tin mạnh mẽ như vậy trong Israel. Ta cũng nói cho các ngươi biết rằng: nhiều người từ phương đông và phương tây sẽ đến dự tiệc cùng Abraham, Isaac và Giacóp trong nước trời. Còn con cái trong nước sẽ bị vứt vào nơi tối tăm bên ngoài, ở đó sẽ phải khóc lóc nghiến răng”. Ðoạn Chúa nói với viên sĩ quan rằng: “Ông cứ về, ông được như ông đã tin”. Và ngay giờ ấy, gia nhân ông đã được lành mạnh.\rKhi Chúa Giêsu vào nhà ông Phêrô, thấy bà mẹ vợ ông đang sốt rét liệt giường. Chúa chạm đến tay bà và cơn sốt biến đi. Bà chỗi dậy tiếp đãi các ngài.\rÐến chiều, họ đưa đến cho Chúa nhiều người bị quỷ ám: Chúa dùng lời đuổi quỷ, và chữa lành tất cả các bệnh nhân, để ứng nghiệm lời tiên tri Isaia nói rằng: “Người đã gánh lấy các bệnh tật của chúng ta, và đã mang lấy những nỗi đau thương của chúng ta”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year1-ordinary-3", {
+    "ORDINARY_Y1": {
+        "5131": {"firstReading":{"excerpt":"(Năm I) St 18, 16-33","info":"“Chúa sắp tiêu diệt người công chính cùng với kẻ tội lỗi sao?”","title":"Trích sách Sáng Thế.","content":"Khi những vị ấy chỗi dậy, ra khỏi thung lũng Mambrê, liền trông về phía thành Sôđôma. Abraham cùng đi để tiễn chân các đấng. Chúa phán: “Nào Ta có thể giấu Abraham điều Ta sắp làm không? Vì Abraham sẽ trở nên một dân tộc vĩ đại và hùng cường, và muôn dân thiên hạ chẳng nhờ đó mà được chúc phúc sao? Ta biết Abraham sẽ truyền dạy cho con cháu và gia tộc mai sau phải tuân theo đường lối của Chúa, ăn ở ngay lành công chính, để Thiên Chúa ban cho Abraham những gì Người đã hứa cùng ông”. Vậy Chúa phán: “Tiếng kêu la của dân Sôđôma và Gômôra đã gia tăng, và tội lỗi chúng quá nặng nề! Ta sẽ xuống coi việc chúng làm có như tiếng kêu thấu đến tai Ta hay không, để Ta sẽ biết rõ”.\rCác vị ấy bỏ nơi đó, đi về hướng thành Sôđôma. Nhưng Abraham vẫn còn đứng trước mặt Chúa. Ông tiến lại gần Người và thưa: “Chớ thì Chúa sắp tiêu diệt người công chính cùng với kẻ tội lỗi sao? Nếu có năm mươi người công chính trong thành, họ cũng chết chung hay sao? Chúa không tha thứ cho cả thành vì năm chục người công chính đang ở trong đó sao? Xin Chúa đừng làm như vậy, đừng sát hại người công chính cùng với kẻ dữ, đừng đối xử với người công chính như với kẻ dữ! Xin đừng làm thế! Chúa phán xét thế giới, Chúa không xét đoán như thế đâu”. Chúa phán cùng Abraham rằng: “Nếu Ta tìm thấy trong thành Sôđôma năm mươi người công chính, Ta sẽ vì họ mà tha thứ cho cả thành”. Abraham thưa lại: “Dù con chỉ là tro bụi, con đã bắt đầu nói, nên con xin thưa cùng Chúa con: Nếu trong số năm mươi người công chính đó còn thiếu năm người thì sao? Vì thiếu năm người Chúa có tàn phá cả thành không?” Chúa phán: “Nếu Ta tìm thấy bốn mươi lăm người công chính, Ta sẽ không phá huỷ cả thành”. Abraham lại thưa cùng Chúa rằng: “Nhưng nếu có bốn mươi người thì Chúa sẽ làm gì?” Chúa phán: “Ta sẽ vì bốn mươi người đó mà không trừng phạt cả thành”. Abraham thưa: “Lạy Chúa, nếu con lên tiếng, xin Chúa đừng nổi giận. Nếu ở đây tìm được ba mươi người công chính thì sao?” Chúa phán: “Nếu Ta tìm được ba mươi người, Ta sẽ không phạt”. Abraham nói: “Vì con đã trót nói thì con sẽ thưa cùng Chúa: Nếu trong thành tìm được hai mươi người công chính thì sao?” Chúa phán: “Vì hai mươi người đó Ta sẽ không tàn sát”. Abraham thưa: “Lạy Chúa, xin đừng nổi giận, con chỉ xin thưa lần này nữa thôi: Nếu tìm được mười người công chính ở đó thì sao?” Chúa phán: “Vì mười người đó, Ta sẽ không tàn phá”.\rKhi đã nói với Abraham xong, Chúa ra đi, và Abraham trở về nhà mình.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8-9. 10-11","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót (c. 8a).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân; Người đội đầu ngươi bằng mão từ bi ân sủng.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không chấp tranh triệt để, cũng không đời đời giữ thế căm hờn.","Xướng: Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi. Nhưng cũng như trời xanh vượt cao trên trái đất, lòng nhân hậu Người siêu việt hơn thế trên kẻ kính sợ Người."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 8, 18-22","info":"“Con hãy theo Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đám đông dân chúng vây quanh Người, thì Người ra lệnh sang qua bờ bên kia. Một luật sĩ đến thưa Người rằng: “Lạy Thầy, bất cứ Thầy đi đâu, con cũng xin theo Thầy”. Chúa Giêsu trả lời: “Con chồn có hang, chim trời có tổ, Con Người không có chỗ gối đầu”. Một môn đệ khác thưa Người rằng: “Thưa Thầy, xin cho phép con về chôn cất cha con trước đã”. Chúa Giêsu trả lời: “Con hãy theo Ta, và hãy để kẻ chết chôn kẻ chết”.","end":"Ðó là lời Chúa"}},
+        "5132": {"firstReading":{"excerpt":"(Năm I) St 19, 15-29","info":"“Chúa cho mưa sinh diêm và lửa xuống trên thành Sôđôma và Gômôra”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, các thiên thần hối thúc ông Lót rằng: “Hãy chỗi dậy đem vợ và hai con gái của ngươi đi, kẻo chính ngươi cũng phải chết lây vì tội của thành Sôđôma!” Khi ông Lót còn đang do dự, các thiên thần nắm tay ông cùng vợ ông và hai con gái ông, vì Chúa muốn cứu thoát ông. Các thiên thần kéo ông ra ngoài thành và nói: “Ngươi muốn sống thì hãy chạy đi, đừng nhìn lại phía sau; cũng đừng dừng lại nơi nào cả trong miền quanh đây, nhưng hãy trốn lên núi, để khỏi chết lây!” Ông Lót thưa: “Lạy Chúa tôi, tôi van xin Ngài: Tôi tớ Chúa đã được Chúa thương yêu, và Chúa đã tỏ lòng khoan dung đại độ gìn giữ mạng sống tôi. Tôi không thể trốn lên núi kẻo gặp sự dữ mà chết mất. Gần đây có một thành phố nhỏ, tôi có thể chạy tới đó và thoát nạn. Thành đó chẳng nhỏ bé sao, xin cho tôi ẩn tránh tại đó để được sống”. Thiên thần nói: “Thôi được, ta cũng chiều ý ngươi xin mà không tàn phá thành ngươi đã nói tới. Ngươi hãy mau mau trốn thoát tới đó, vì ta chẳng làm được gì trước khi ngươi đi tới đó”. Bởi đó đã gọi tên thành ấy là Sêgor.\rMặt trời vừa mọc lên thì ông Lót vào đến thành Sêgor. Vậy Thiên Chúa cho mưa sinh diêm và lửa từ trời xuống trên thành Sôđôma và Gômôra. Người huỷ diệt các thành này, cả miền chung quanh, toàn thể dân cư trong thành cùng các giống xanh tươi trên đất. Bà vợ ông Lót nhìn lại phía sau, nên đã biến thành tượng muối.\rSáng sớm (hôm sau) ông Abraham thức dậy, đi đến nơi ông đã đứng hầu Chúa trước đây, ông nhìn về phía thành Sôđôma, và Gômôra và cả miền ấy, ông thấy khói từ đất bốc lên cao như khói một lò lửa hồng.\rKhi Chúa phá huỷ các thành trong miền ấy, Người đã nhớ đến Abraham mà cứu ông Lót thoát cảnh tàn phá tại các thành mà ông đã cư ngụ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 25, 2-3. 9-10. 11-12","response":"Ðáp: Lạy Chúa, con nhìn xem tình thương Ngài trước mắt","verses":["Xướng: Lạy Chúa, xin hãy thăm dò và thử thách con, xin Ngài luyện lọc thận tạng và tâm can. Vì con nhìn xem tình thương Ngài trước mắt, và con sống theo chân lý của Ngài.","Xướng: Xin đừng cất linh hồn con cùng linh hồn người tội lỗi, đừng cất mạng sống con cùng mạng sống kẻ sát nhân; bọn người này nắm chặt tội ác trong tay, và tay hữu chúng ôm đầy lễ vật.","Xướng: Phần con, con vẫn sống tinh toàn, xin Ngài giải thoát và xót thương con. Chân con đứng vững trong đường bằng phẳng, trong các buổi hội họp, con sẽ chúc tụng Chúa."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 8, 23-27","info":"“Người chỗi dậy, truyền lệnh cho gió và biển, và biển yên lặng như tờ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu xuống thuyền, có các môn đệ theo Người. Và đây biển động dữ dội, đến nỗi sóng phủ lên thuyền, thế mà Người vẫn ngủ. Các môn đệ lại gần đánh thức Người dậy mà rằng: “Lạy Thầy, xin cứu lấy chúng con kẻo chết mất!” Chúa phán: “Hỡi những kẻ yếu lòng tin! Sao các con nhát sợ?” Bấy giờ Người chỗi dậy, truyền lệnh cho gió và biển. Và biển yên lặng như tờ! Cho nên những người ấy kinh ngạc mà rằng: “Ông này là ai mà gió và biển đều vâng phục?”","end":"Ðó là lời Chúa"}},
+        "5133": {"firstReading":{"excerpt":"(Năm I) St 21, 5.8-20","info":"“Con của người nữ tỳ không được thừa hưởng gia tài cùng với con tôi”.","title":"Trích sách Sáng Thế.","content":"Khi Abraham được một trăm tuổi, thì Isaac sinh ra.\rÐứa trẻ lớn lên và thôi bú.\rNgày Isaac thôi bú, Abraham thết tiệc linh đình.\rBà Sara thấy con của Agar, người đàn bà Ai Cập, chơi với Isaac, con của bà, liền nói với Abraham rằng: “Hãy đuổi mẹ con người tì nữ này đi, vì con của người đầy tớ không được thừa hưởng gia tài cùng với con tôi là Isaac”.\rAbraham lấy sự ấy làm đau lòng cho con mình.\rChúa phán cùng Abraham rằng: “Người đừng buồn vì con trẻ, và con của nữ tì ngươi. Bất cứ Sara nói gì, ngươi hãy nghe theo vì nhờ Isaac, sẽ có một dòng dõi mang tên ngươi. Nhưng Ta cũng sẽ cho con trai của nữ tì trở thành một dân tộc lớn, vì nó thuộc dòng dõi của ngươi”.\rSáng sớm, Abraham chỗi dậy,lấy bánh mì và bầu nước, đặt lên vai người nữ tì, trao con trẻ cho nàng rồi bảo nàng đi.\rSau khi ra đi, nàng đến rừng Bersabê.\rVà khi đã uống hết bầu nước, nàng bỏ con trẻ dưới gốc cây trong rừng.\rNàng ra ngồi cách xa đó khoảng tầm một tên bắn.\rVì nàng nói: “Tôi chẵng nỡ thấy con tôi chết”, và nàng ngồi đó, thì bên trong đứa bé cất tiếng khóc.\rChúa đã nghe tiếng khóc của đứa trẻ, và thiên thần Chúa từ trời gọi Agar mà rằng: “Agar, ngươi làm gì thế? Ngươi đừng sợ, vì Thiên Chúa đã nghe tiếng đứa trẻ khóc từ chỗ nó đang nằm kia.\rNgươi hãy chỗi dậy, ẵm con đi, và giữ chặt tay nó, vì Ta sẽ cho nó trở thành một dân tộc vĩ đại”.\rVà Thiên Chúa mở mắt cho Agar, nàng thấy một giếng nước và đến múc đầy bầu nước cho đứa trẻ uống.\rChúa phù trợ đứa trẻ; nó lớn lên, cư ngụ trong rừng vắng, và trở thành người có tài bắn cung tên.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33,7-8.10-11,12-13","response":"Ðáp: Kìa người đau khổ cầu cứu và Chúa đã nghe.","verses":["Xướng: Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn. Thiên thần Chúa hạ trại đồn binh, chung quanh những người sợ Chúa, và bênh chữa họ.","Xướng: Các thánh nhân của Chúa hãy tôn sợ Chúa, vì người tôn sợ Chúa chẳng thiếu thốn chi. Bọn sang giàu đã sa cơ nghèo đói, nhưng người tìm Chúa chẳng thiếu chi thiện hảo.","Xướng: Các đệ tử ơi, hãy lại đây, hãy nghe ta, ta sẽ dạy các con biết tôn sợ Chúa. Ai là người yêu quý cuộc đời, mong sống lâu để hưởng nhiều phúc lộc."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia. – Ước gì hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 8,28-34","info":"“Ông đến lúc này để hành hạ các quỷ”.","title":"Bài trích Phúc Âm theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu lên thuyền sang bờ bên kia, đến miền Giêrasa, thì gặp hai người bị quỷ ám từ các mồ mả đi ra, chúng hung dữ đến nỗi không ai dám qua đường ấy.\rVà chúng kêu lên rằng: “Lạy Ông Giêsu, Con Thiên Chúa, chúng tôi có can chi đến ông? Ông đến đây để hành hạ chúng tôi trước hạn định sao?”\rCách đó không xa có một đàn heo lớn đang ăn.\rCác quỷ nài xin Người rằng: “Nếu ông đuổi chúng tôi ra khỏi đây, thì xin cho chúng tôi nhập vào đàn heo”.\rNgười bảo chúng rằng: “Cứ đi”.\rChúng liền ra khỏi đi nhập vào đàn heo.\rTức thì cả đàn heo, từ bờ dốc thẳng, nhào xuống biển và chết chìm dưới nước.\rCác người chăn heo chạy trốn về thành, báo tin ấy và nói về các người bị quỷ ám. Thế là cả thành kéo ra đón Chúa Giêsu. Khi gặp Người, Họ xin Người rời khỏi vùng của họ.","end":"Ðó là lời Chúa"}},
+        "5134": {"firstReading":{"excerpt":"(Năm I) St 22, 1-19","info":"“Lễ hiến tế của Abraham Tổ phụ chúng ta”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Chúa thử Abraham và nói với ông rằng: “Abraham, Abraham!” Ông đáp lại: “Dạ, con đây”. Chúa nói: “Ngươi hãy đem Isaac, đứa con yêu dấu của ngươi, và đi đến đất Moria, ở đó ngươi sẽ dâng nó làm của lễ toàn thiêu trên núi Ta sẽ chỉ cho ngươi”. Vì vậy ban đêm Abraham chỗi dậy, thắng lừa, dẫn theo hai đầy tớ và Isaac, con của ông; khi đã chặt củi dành để đốt của lễ toàn thiêu, ông đi đến nơi Chúa đã truyền dạy. Ðến ngày thứ ba, ngước mắt lên, ông thấy nơi còn xa xa; ông bảo các đầy tớ rằng: “Các ngươi và con lừa hãy đợi tại đây. Ta và con trẻ đi đến nơi kia, sau khi cử hành việc thờ phượng xong, chúng tôi sẽ trở lại đây với các ngươi”. Ông lấy củi dành để đốt của lễ toàn thiêu mà đặt trên vai Isaac, con ông, còn ông thì cầm lửa và gươm. Khi cha con cùng đi trên đường, Isaac hỏi cha mình rằng: “Thưa cha”. Ông Abraham trả lời: “Hỡi con, con muốn gì?” Isaac nói: “Củi và lửa có đây rồi, còn của lễ toàn thiêu ở đâu?” Ông Abraham đáp: “Hỡi con, Thiên Chúa sẽ dự liệu của lễ toàn thiêu”. Vậy hai cha con tiếp tục cùng đi.\rKhi hai người đến nơi Chúa đã chỉ, Abraham làm một bàn thờ và chất củi lên, rồi trói Isaac lại, đặt lên đống củi trên bàn thờ. Abraham giơ tay lấy dao để sát tế con mình. Bấy giờ thiên thần Chúa từ trời gọi ông rằng: “Abraham! Abraham!” Ông thưa lại: “Dạ, con đây”. Người nói: “Ðừng giết con trẻ và đừng động đến nó, vì giờ đây, Ta biết ngươi kính sợ Chúa, đến nỗi không từ chối dâng đứa con duy nhất cho Ta”. Abraham ngước mắt lên, thấy sau lưng mình có con cừu đực đang mắc sừng trong bụi cây, Abraham liền bắt nó và tế lễ thay cho con mình. Ông gọi tên nơi này là “Chúa trông thấy”. Bởi vậy, mãi cho đến ngày nay, người ta quen nói rằng “Trên núi Chúa sẽ trông thấy”.\rThiên thần Chúa gọi Abraham lần thứ hai và nói rằng: “Chúa phán: Ta thề rằng: vì ngươi đã làm điều đó, ngươi không từ chối dâng đứa con duy nhất của ngươi cho Ta, nên Ta chúc phúc cho ngươi, Ta cho ngươi sinh sản con cái đông đúc như sao trên trời, như cát bãi biển; miêu duệ ngươi sẽ chiếm cửa thành quân địch, và mọi dân tộc trên mặt đất sẽ được chúc phúc nơi miêu duệ ngươi, vì ngươi đã vâng lời Ta”.\rÔng Abraham trở về cùng các đầy tớ, và họ cùng nhau đi về Bersabê, và lập cư tại đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 114, 1-2. 3-4. 5-6. 8-9","response":"Ðáp: Tôi sẽ tiến đi trước Thiên nhan Chúa, trong miền đất của nhân sinh (c. 9).","verses":["Xướng: Tôi mến yêu Chúa, vì Chúa đã nghe, đã nghe tiếng tôi cầu khẩn; vì Chúa đã lắng tai nghe lời tôi trong ngày tôi kêu cầu Chúa.","Xướng: Thừng chão tử thần đã quấn lấy tôi, và màng lưới âm phủ đã chụp trên người tôi; tôi đã rơi vào cảnh lo âu khốn khó. Và tôi đã kêu cầu danh Chúa: “Ôi lạy Chúa, xin cứu vớt mạng sống con”.","Xướng: Chúa nhân từ và công minh, và Thiên Chúa của chúng tôi rất từ bi. Chúa gìn giữ những người chất phác, tôi đau khổ và Người đã cứu thoát tôi.","Xướng: Bởi Người đã cứu tôi khỏi tử thần, cho mắt tôi khỏi rơi lệ và chân tôi không quỵ ngã. Tôi sẽ tiến đi trước thiên nhan Chúa trong miền đất của nhân sinh."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mt 9, 1-8","info":"“Họ tôn vinh Thiên Chúa đã ban cho loài người quyền năng như thế”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu xuống thuyền, vượt biển mà về thành của Người. Bấy giờ người ta đem đến cho Người một kẻ bất toại nằm trên giường. Thấy họ có lòng tin, Chúa Giêsu nói với người bất toại rằng: “Hỡi con, con hãy vững tin, tội con được tha rồi”. Bấy giờ mấy luật sĩ nghĩ thầm rằng: “Ông này nói phạm thượng”. Chúa Giêsu biết ý nghĩ của họ liền nói: “Tại sao các ngươi suy tưởng những sự xấu trong lòng? Bảo rằng “Tội con được tha rồi”, hay nói “Hãy chỗi dậy mà đi”, đàng nào dễ hơn? Nhưng (nói thế là) để các ngươi biết rằng trên đời này Con Người có quyền tha tội”. Bấy giờ Người nói với người bất toại: “Con hãy chỗi dậy, vác giường mà về nhà con”. Người ấy chỗi dậy và đi về nhà. Thấy vậy dân chúng sợ hãi và tôn vinh Thiên Chúa đã ban cho loài người quyền năng như thế.","end":"Ðó là lời Chúa"}},
+        "5135": {"firstReading":{"excerpt":"(Năm I) St 23, 1-4. 19; 24, 1-8. 62-67","info":"“Isaac yêu thương Rêbecca, cho nên ông tìm được niềm an ủi, vì thương nhớ mẹ đã qua đời”.","title":"Trích sách Sáng Thế.","content":"Bà Sara được một trăm hai mươi bảy tuổi thì qua đời tại thành Cariatharbê, tức là Hêbron, trong đất Canaan. Ông Abra-ham đến khóc lóc thương tiếc bạn mình. Khi lo việc chôn cất, Abraham chỗi dậy nói với các con ông Hét rằng: “Tôi là ngoại bang, là khách lạ giữa quý ông, xin quý ông nhượng cho tôi một phần mộ để chôn xác người nhà tôi qua đời”. Rồi Abraham chôn cất bà Sara vợ ông trong Hang Ðôi ngoài đồng ruộng, đối diện với Mambrê, tức Hêbron, trong đất Canaan.\rKhi ấy, Abraham đã già nua, và Chúa đã chúc lành cho ông trong mọi sự. Abraham nói với người đầy tớ lớn tuổi nhất trong nhà, cũng là người quản lý mọi của cải của ông rằng: “Ngươi hãy đặt tay vào dưới bắp vế ta mà thề trước mặt Chúa là Thiên Chúa trời đất, sẽ không cưới cho con ta một người vợ thuộc dân Canaan mà ta đang ở chung với họ đây. Ngươi hãy đi về quê họ hàng ta, mà cưới vợ cho con ta là Isaac”. Người đầy tớ thưa lại: “Nếu người phụ nữ không muốn theo tôi về xứ này, thì tôi có phải đem con trai ông về quê quán của ông chăng?” Abraham trả lời rằng: “Ngươi hãy cẩn thận chớ bao giờ dẫn con ta về đó: Chúa là Thiên Chúa, đã đưa ta ra khỏi nhà cha ta và quê quán ta, đã phán và thề hứa cùng ta rằng: “Ta sẽ ban đất này cho dòng dõi ngươi”. Thiên Chúa sẽ sai thiên thần đi trước mặt ngươi, và ngươi cưới cho con trai ta một người vợ trong xứ đó. Nếu người phụ nữ không chịu theo ngươi về, thì ngươi không còn mắc lời đoan thề mà ta bảo người đây. Chỉ có một điều là đừng dẫn con trai ta về nơi đó”.\rKhi ấy, Isaac đi bách bộ trên đường dẫn đến cái giếng gọi là “Ðấng Hằng Sống và Trông Thấy”, vì ông cư ngụ tại mạn nam. Lúc gần tối, Isaac đi ra ngoài cánh đồng để suy ngắm. Khi ngước mắt lên nhìn, thấy những con lạc đà đang trở về từ đàng xa. Rêbecca cũng ngước mắt nhìn thấy Isaac, nàng liền nhảy xuống khỏi lạc đà, và hỏi người đầy tớ rằng: “Người đang đi trong cánh đồng để ra đón chúng ta là ai vậy?” Người đầy tớ đáp: “Người đó là chủ tôi đấy”. Nàng vội vàng lấy khăn che mặt. Người đầy tớ lại kể lại cho Isaac hay mọi việc mình đã làm. Isaac đưa Rêbecca vào nhà xếp của Sara mẹ ông, ông lấy nàng làm vợ và yêu thương nàng lắm, cho nên ông tìm được niềm an ủi bớt thương nhớ mẹ đã qua đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 1-2. 3-4a. 4b-5","response":"Ðáp: Hãy ca tụng Chúa, bởi Người nhân hậu. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ca tụng Chúa, bởi Người nhân hậu, vì đức từ bi Người tồn tại muôn đời. Ai nói cho hết được những hành động quyền năng của Chúa, ai kể cho xiết mọi lời ngợi khen Người?","Xướng: Phúc cho ai tuân giữ những điều huấn lệnh, và luôn luôn thực thi điều công chính. Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Ngài.","Xướng: Xin mang ơn cứu độ đến thăm viếng chúng con, để chúng con hân hoan vì hạnh phúc những người Chúa chọn, được chung vui bởi niềm vui của dân Ngài, và được hãnh diện cùng phần gia nghiệp của Ngài."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 9, 9-13","info":"“Người lành mạnh không cần đến thầy thuốc: Ta muốn lòng nhân từ, chớ không phải là hy lễ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đi ngang qua, thấy một người ngồi ở bàn thu thuế, tên là Matthêu. Người phán bảo ông: “Hãy theo Ta”. Ông ấy đứng dậy đi theo Người. Và xảy ra là khi Người ngồi dùng bữa trong nhà, thì có nhiều người thu thuế và tội lỗi đến ngồi đồng bàn cùng Chúa Giêsu và các môn đệ của Người. Những người biệt phái thấy vậy, liền nói với các môn đệ Người rằng: “Tại sao Thầy các ông lại ăn uống với những người thu thuế và tội lỗi như thế?” Nghe vậy, Chúa Giêsu bảo rằng: “Người lành mạnh không cần đến thầy thuốc, nhưng là người đau yếu! Các ông hãy đi học xem lời này có ý nghĩa gì: “Ta muốn lòng nhân từ, chứ không phải là hy lễ”. Vì Ta không đến để kêu gọi người công chính, nhưng kêu gọi người tội lỗi”.","end":"Ðó là lời Chúa"}},
+        "5136": {"firstReading":{"excerpt":"(Năm I) St 27, 1-5. 15-29","info":"“Giacóp chiếm vị và trộm lấy chúc lành của anh”.","title":"Trích sách Sáng Thế.","content":"Isaac đã già, mắt loà không còn trông thấy được nữa. Ông gọi con trai cả là Êsau mà bảo rằng: “Hỡi con”. Êsau thưa: “Dạ, con đây”. Ông nói tiếp: “Con thấy cha đã già rồi, cha không biết ngày nào cha chết. Con hãy lấy khí giới: cung, tên, rồi đi ra ngoài; khi săn được gì, con hãy lấy mà dọn món ăn mà con biết cha ưa thích, rồi đem cho cha ăn, và cha sẽ chúc lành cho con trước khi cha chết”.\rBà Rêbecca nghe lời ấy (...) và khi Êsau ra đồng để thi hành lệnh của cha (...) thì bà lấy áo tốt của Êsau mà bà vẫn giữ trong nhà, đem mặc cho Giacóp. Bà lấy da dê mà bọc tay và quấn cổ Giacóp. Ðoạn bà lấy cháo và bánh đã nấu trao cho Giacóp...\rGiacóp bưng lên cho cha mà nói rằng: “Thưa cha”. Isaac nói: “Cha nghe rồi. Hỡi con, con là ai?” Giacóp thưa: “Con là Êsau trưởng nam của Cha. Con đã làm như cha dạy, xin cha chỗi dậy, ngồi ăn thịt con đã săn được để cha chúc lành cho con”. Isaac lại nói với con: “Hỡi con, lẽ nào con săn được mau như thế?” Giacóp thưa: “Thánh ý Thiên Chúa đã định, nên con chóng được như ý muốn”. Isaac bảo rằng: “Hỡi con, con hãy lại đây để cha rờ thử xem con có phải là Êsau con của cha hay không”. Giacóp tiến lại gần cha. Isaac rờ con mà nói: “Tiếng nói là tiếng Giacóp, còn tay lại là tay Êsau”. Ông không nhận ra được, vì tay (cậu) có lông như tay anh cả. Vậy ông chúc lành cho con mà nói: “Con có phải là Êsau con cha thật không?” Giacóp đáp: “Thưa phải”. Ông nói tiếp: “Hỡi con, hãy đem cho cha ăn thịt săn của con, để cha chúc lành cho con”. Khi ông ăn đồ con đem đến xong, con ông lại đem rượu cho ông uống. Uống xong, ông bảo con rằng: “Hỡi con, hãy lại đây hôn cha”. Giacóp lại gần hôn cha; ông ngửi thấy mùi thơm của bộ áo con, thì chúc lành cho con mà rằng: “Mùi thơm của con ta như mùi hương cánh đồng phì nhiêu mà Chúa đã chúc phúc. Xin Thiên Chúa ban cho con những giọt sương trời, giải đất mầu mở, lúa miến và rượu nho dư đầy. Các dân tộc sẽ suy phục con, các chi họ sẽ sấp mình trước con. Con hãy làm chủ các anh em con, các con cái của mẹ con sẽ phủ phục trước mặt con. Ai nguyền rủa con, thì sẽ bị nguyền rủa; và ai chúc lành cho con, thì sẽ được đầy phúc lành”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 134, 1-2. 3-4. 5-6","response":"Ðáp: Các ngươi hãy ngợi khen Chúa, vì Người nhân hậu","verses":["Xướng: Các ngươi hãy ngợi khen danh Chúa, hãy ngợi khen Chúa, hỡi các tôi tớ của Người là những kẻ đứng trong nhà Chúa, trong tiền đường nhà Chúa chúng ta.","Xướng: Các ngươi hãy ngợi khen Chúa, vì Người nhân hậu; hãy ca tụng danh Chúa, vì danh Người rất ngọt ngào. Vì Chúa đã chọn Giacóp cho mình, đã chọn Israel làm sở hữu.","Xướng: Tôi đã nhận biết Chúa cao cả, Thiên Chúa chúng tôi vượt lên trên hết thảy các thần. Mọi sự Chúa muốn Chúa đã làm, trên trời dưới đất, trong biển và nơi các vực thẳm."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 9, 14-17","info":"“Làm sao các phù rể có thể buồn rầu khi tân lang còn đang ở với họ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, [Chúa Giêsu sang miền Giêsarênô,] các môn đệ Gioan đến gặp Người mà hỏi: “Tại sao chúng tôi và những người biệt phái thì giữ chay, còn môn đệ của Ngài lại không?” Chúa Giêsu nói với họ rằng: “Làm sao các khách dự tiệc cưới có thể buồn rầu khi tân lang đang còn ở với họ? Rồi sẽ có ngày tân lang ra đi, bấy giờ họ mới giữ chay. Không ai lấy vải mới mà vá vào áo cũ, vì miếng vải mới làm áo dúm lại, và chỗ rách lại càng tệ hơn. Người ta cũng không đổ rượu mới vào bầu da cũ, chẳng vậy, bầu da vỡ, rượu đổ ra, và bầu da hư mất. Nhưng rượu mới thì đổ vào bầu da mới, và cả hai được nguyên vẹn”.","end":"Ðó là lời Chúa"}},
+        "5141": {"firstReading":{"excerpt":"(Năm I) St 28, 10-22a","info":"“Ông thấy một cái thang dựng đứng, thấy các thiên thần lên xuống trên thang, và nghe Thiên Chúa phán”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, ông Giacóp ra khỏi xứ Bersabê, đi sang thành Haran. Khi ông tới một nơi kia, mặt trời đã lặn, ông muốn ngủ đêm lại đó, nên ông lấy một hòn đá nơi ấy mà gối đầu và ngủ tại đó. Ông chiêm bao thấy một cái thang, chân thang chấm đất và đầu thang chạm đến trời: các thiên thần lên xuống trên thang ấy.\rChúa ngự trên đầu thang và phán rằng: “Ta là Thiên Chúa Abraham tổ phụ ngươi, và là Thiên Chúa Isaac: Ta sẽ ban cho ngươi và dòng dõi ngươi đất ngươi đang ngủ đây. Dòng dõi ngươi sẽ đông đúc như bụi trên mặt đất. Ngươi sẽ tràn sang đông, tây, nam, bắc, và nhờ ngươi và dòng dõi ngươi, mọi dân tộc trên thế giới này sẽ được chúc phúc. Bất cứ ngươi đi đâu, Ta sẽ gìn giữ ngươi và Ta sẽ dẫn ngươi vào đất này: Ta sẽ không bỏ ngươi cho đến khi Ta đã thi hành điều Ta hứa với ngươi”.\rKhi Giacóp tỉnh giấc mộng, ông nói: “Quả thực Chúa ngự nơi này mà tôi không biết”. Ông run sợ mà nói rằng: “Nơi này đáng kinh hãi là dường nào! Ðây chẳng khác gì đền của Thiên Chúa và cửa thiên đàng”. Sáng ngày Giacóp chỗi dậy, ông lấy hòn đá đã dùng gối đầu mà dựng lên làm bia ghi dấu, rồi đổ dầu lên trên. Ông gọi tên thành ấy là Bêthel, khi trước thành này gọi là Luza.\rGiacóp đã khấn rằng: “Nếu Thiên Chúa ở với con và gìn giữ con trên đường con đang đi, ban cho con cơm ăn áo mặc, và nếu con trở về nhà cha con bằng yên, thì Chúa sẽ là Thiên Chúa của con và hòn đá con dựng lên làm bia ghi dấu đây sẽ gọi là Nhà của Thiên Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 90, 1-2. 3-4. 14-15ab","response":"Ðáp: Lạy Chúa con, con tin cậy ở Ngài","verses":["Xướng: Bạn sống trong sự che chở của Ðấng Tối Cao, bạn cư ngụ dưới bóng của Ðấng Toàn Năng, hãy thưa cùng Chúa: “Chúa là chiến lũy, nơi con nương náu; lạy Chúa, con tin cậy ở Ngài”.","Xướng: Vì chính Ngài sẽ cứu bạn thoát lưới dò của kẻ bẫy chim, và thoát khỏi quan ôn tác hại. Ngài sẽ che chở bạn trong bóng cánh của Ngài, và dưới cánh Ngài, bạn sẽ nương thân: lòng trung tín của Ngài là mã giáp và khiên thuẫn.","Xướng: Vì người quý mến Ta, Ta sẽ giải thoát cho, Ta sẽ che chở người bởi lẽ người nhìn biết danh Ta. Người sẽ kêu cầu Ta và Ta sẽ nhậm lời; Ta sẽ ở cùng người trong lúc gian truân."]},"alleluia":{"verse":"Tv 144, 14cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Đấng cứu độ chúng ta là Đức Giêsu Kitô đã tiêu diệt thần chết, và đã dùng Tin Mừng mà làm sáng tỏ phúc trường sinh. – Alleluia."},"gospel":{"excerpt":"Mt 9, 18-26","info":"“Con gái tôi vừa mới chết, nhưng xin Ngài đến, nó sẽ sống lại”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đang nói, thì có một vị kỳ mục kia đến lạy Người mà thưa rằng: “Lạy Ngài, con gái tôi vừa mới chết, nhưng xin Ngài đến đặt tay trên nó, thì nó sẽ sống lại”. Chúa Giêsu chỗi dậy, và cùng với các môn đệ, đi theo ông ấy. Và này có người đàn bà bị bệnh loạn huyết đã mười hai năm, tiến lại đàng sau Người và chạm đến gấu áo Người. Vì bà nghĩ thầm rằng: Nếu tôi được chạm đến áo Người thôi, thì tôi sẽ được khỏi. Chúa Giêsu ngoảnh lại, trông thấy bà ta, liền phán rằng: “Này con, hãy vững lòng. Ðức tin của con đã cứu thoát con”. Và người đàn bà được khỏi bệnh.\rKhi Chúa Giêsu đến nhà vị kỳ mục, và thấy những người thổi kèn và đám đông đang xôn xao, thì bảo rằng: “Các ngươi hãy lui ra, con bé không có chết đâu, nó ngủ đó thôi”. Họ liền nhạo cười Người. Và khi đã xua đám đông ra ngoài, Người vào cầm tay đứa bé và nó liền chỗi dậy. Tin này đồn đi khắp cả miền ấy.","end":"Ðó là lời Chúa"}},
+        "5142": {"firstReading":{"excerpt":"(Năm I) St 32, 22-32 (Gr 23-33)","info":"“Tên ông sẽ được gọi là Israel, vì ông có sức mạnh chống lại Thiên Chúa”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Giacóp chỗi dậy sớm, đem hai vợ, hai người đầy tớ gái, và mười một người con đi sang qua khe suối Giabốc. Sau khi dẫn họ và đem tất cả của cải qua bên kia suối, ông ở lại một mình, và đây, có một người vật lộn với ông cho đến sáng. Người ấy thấy mình không thể vật ngã Giacóp được, nên đá vào gân đùi ông, và lập tức gân ấy khô bại. Người ấy nói với ông rằng: “Hãy buông ta ra, vì đã hừng đông rồi”. Ông trả lời: “Tôi chỉ buông ông ra khi nào ông chúc lành cho tôi”. Vậy người ấy hỏi: “Ông tên gì?” Ông trả lời: “Tôi tên là Giacóp”. Người ấy lại nói: “Tên ông sẽ không còn gọi là Giacóp nữa, nhưng sẽ gọi là Israel, vì nếu ông có sức mạnh chống lại Thiên Chúa, ắt ông sẽ còn mạnh sức thắng được loài người”. Giacóp hỏi người ấy: “Xin ông cho tôi biết ông tên gì?” Người ấy đáp: “Tại sao ông lại hỏi tên ta?” Bấy giờ người ấy chúc lành cho Giacóp chính nơi ấy. Giacóp đặt tên cho nơi ấy là Phanuel, và bảo rằng: “Tôi đã thấy Chúa nhãn tiền mà mạng sống tôi vẫn an toàn”.\rKhi ông đã ra khỏi Phanuel, thì mặt trời liền mọc lên, nhưng ông đi khập khễnh một chân. Vì lẽ đó, con cái Israel không ăn gân đùi cho đến ngày nay, vì gân đùi Giacóp bị khô bại: bởi thiên thần đã đá vào gân đùi ông, nên ông bị bại.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 16, 1. 2-3. 6-7. 8b và15","response":"Ðáp: Phần con, nhờ công chính, sẽ được thấy thiên nhan","verses":["Xướng: Lạy Chúa, xin nghe điều chính nghĩa của con; xin để ý đến lời con kêu cứu, lắng tai nghe con thốt ra từ cặp môi chân thành!","Xướng: Từ cái nhìn của Chúa hãy diễn ra sự phán quyết về con: vì mắt Ngài thấy rõ điều chân chính. Nếu Ngài lục soát lòng con, nếu ban đêm Ngài thăm viếng, nếu Ngài thử con trong lửa, Ngài sẽ không gặp điều gian ác ở nơi con.","Xướng: Con kêu van Ngài, bởi Ngài nhậm lời con; lạy Chúa, xin lắng tai về bên con, xin nghe rõ tiếng con. Xin tỏ ra đức từ bi lạ lùng của Chúa, là Ðấng giải thoát khỏi bọn đối phương những ai tìm nương tựa tay hữu của Ngài.","Xướng:  Xin che chở con trong bóng cánh tay Ngài. Phần con, nhờ công chính, sẽ được thấy thiên nhan; khi thức giấc, con no thoả nhìn chân dung Chúa."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng biết Ta”. – Alleluia."},"gospel":{"excerpt":"Mt 9, 32-38","info":"“Lúa chín đầy đồng mà thợ gặt thì ít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, người ta đem đến Chúa Giêsu một người câm bị quỷ ám. Khi đã trừ quỷ, thì người câm nói được, đám đông dân chúng kinh ngạc và nói rằng: “Chưa bao giờ thấy xảy ra như vậy trong dân Israel”. Nhưng các người biệt phái nói rằng: “Ông ta đã nhờ tướng quỷ mà trừ quỷ”.\rVà Chúa Giêsu đi rảo khắp các thành phố làng mạc, dạy dỗ trong các hội đường, rao giảng Tin Mừng Nước Trời, và chữa lành mọi bệnh hoạn tật nguyền. Thấy đoàn lũ dân chúng, Người động lòng xót thương họ, vì họ tất tưởi bơ vơ như những con chiên không có người chăn. Người liền bảo môn đệ rằng: “Lúa chín đầy đồng, mà thợ gặt thì ít. Các con hãy xin chủ ruộng sai thợ đi gặt lúa”.","end":"Ðó là lời Chúa"}},
+        "5143": {"firstReading":{"excerpt":"(Năm I) St 41, 55-57; 42, 5-7a. 17-24a","info":"“Chúng ta phải chịu thế này thật xứng đang, vì chúng ta đã phạm đến em chúng ta”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, cả nước Ai-cập gặp nạn đói kém, dân chúng kêu vua Pharaon, xin cho họ của ăn. Vua trả lời họ rằng: “Các ngươi hãy đến cùng Giuse và ông bảo thế nào, các ngươi hãy làm như vậy”. Cơn đói kém ngày càng gia tăng khắp mặt đất. Bấy giờ ông Giuse mở các kho lúa, bán cho người Ai-cập, vì họ cũng đói kém khổ sở. Khắp mọi nước, người ta tuôn đến Ai-cập để mua lương thực ăn cho đỡ đói.\rCác con ông Giacóp cũng đi chung với những người khác đến Ai-cập để mua lúa, vì nạn đói cũng hoành hành trong đất Canaan. Giuse có quyền trên toàn lãnh thổ Ai-cập, nên ông bán lúa thóc cho hết mọi người. Khi các anh của Giuse sấp mình lạy ông, ông nhận ra các anh, nên ông nói giọng cứng cỏi như nói với khách lạ. Ông hỏi họ: “Các ngươi ở đâu đến?” Họ đáp: “Chúng tôi từ đất Canaan đến mua thực phẩm”.\rGiuse đã truyền giam họ trong ba ngày; đến ngày thứ ba, ông cho dẫn họ ra khỏi tù và bảo rằng: “Các ngươi hãy làm điều ta dạy bảo, thì sẽ được sống: vì ta kính sợ Thiên Chúa. Nếu các ngươi là người lương thiện thì một người trong các ngươi sẽ ở lại trong tù, còn những người khác hãy đem lúa về nhà. Rồi các ngươi hãy dẫn đứa em út các ngươi tới đây cho ta, để ta có thể tin lời các ngươi, và các ngươi sẽ khỏi chết. Họ đã làm như Giuse dạy bảo.\rBấy giờ họ mới nói với nhau rằng: “Chúng ta phải chịu thế này thật xứng đáng, vì chúng ta đã phạm đến em chúng ta. Chúng ta đã thấy tâm hồn em chúng ta khổ sở, khi nó năn nỉ chúng ta tha cho nó, nhưng chúng ta không chịu nghe. Vì thế nên chúng ta phải chịu nỗi khốn khổ này”. Bấy giờ, một người trong anh em là Ruben nói rằng: “Chớ thì tôi đã chẳng bảo anh em đừng có phạm đến đứa trẻ sao”. Nhưng không ngờ rằng Giuse hiểu tiếng họ, vì ông dùng thông ngôn mà nói với họ. Ông Giuse lánh mặt đi một chút mà khóc.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 2-3. 10-11. 18-19","response":"Ðáp: Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài","verses":["Xướng:Hãy ngợi khen Chúa với cây đàn cầm; với đàn mười dây, hãy xướng ca mừng Chúa. Hãy ca mừng Người bài ca mới, hát mừng Người với tiếng râm ran.","Xướng: Chúa phá tan ý định của các nước, làm cho vô hiệu tư tưởng của chư dân. Ý định của Chúa tồn tại muôn đời, tư tưởng lòng Ngài còn mãi đời nọ sang đời kia.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Người, nhìn xem những ai cậy trông ân sủng của Người, để cứu gỡ họ khỏi tay thần chết và nuôi dưỡng họ trong cảnh cơ hàn."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy”. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Chúa nói: Triều đại Thiên Chúa đã đến gần. Anh em hãy sám hối và tin vào Tin Mừng. -Alleluia."},"gospel":{"excerpt":"Mt 10, 1-7","info":"“Các con hãy đến cùng chiên lạc nhà Israel”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu gọi mười hai môn đệ Người lại, và ban cho các ông quyền hành trên các thần ô uế để các ông xua đuổi chúng và chữa lành mọi bệnh hoạn, tật nguyền.\rÐây là tên của mười hai Tông đồ: Trước hết là Simon cũng gọi là Phêrô, rồi đến Anrê em của ông, Giacôbê con ông Giêbêđê và Gioan em của ông, Philipphê và Bartôlômêô, Tôma và Matthêu người thu thế, Giacôbê con ông Alphê và Tađêô, Simon nhiệt tâm và Giuđa Iscariô là kẻ nộp Người.\rChúa Giêsu đã sai mười hai vị này đi và truyền rằng: “Các con đừng đi về phía các dân ngoại và đừng vào thành của người Samaria. Tốt hơn, các con hãy đến cùng các chiên lạc nhà Israel. Các con hãy đi rao giảng rằng: ‘Nước Trời đã gần đến'”.","end":"Ðó là lời Chúa"}},
+        "5144": {"firstReading":{"excerpt":"(Năm I) St 44, 18-21. 23b-29; 45, 1-5","info":"“Ðể cứu sống anh em mà Thiên Chúa đã sai em xuống Ai-cập trước anh em”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Giuđa lại gần mà nói thật thà với Giuse rằng: “Thưa ngài, xin ngài nghe tôi tớ của ngài nói đôi lời, xin ngài đừng phẫn nộ với tôi tớ của ngài, vì sau vua Pharaon ngài là chủ của tôi. Trước đây ngài đã hỏi các tôi tớ ngài rằng: “Các ngươi còn cha, còn đứa em nào nữa chăng?” Chúng tôi đã trả lời với ngài rằng: Chúng tôi còn cha già, và một đứa em út sinh ra lúc cha chúng tôi đã già. Anh áp út đã chết rồi: mẹ nó chỉ còn lại một mình nó, cha chúng tôi thương nó lắm. Vậy mà ngài đã bảo các tôi tớ ngài: “Hãy đem nó tới đây cho ta xem thấy nó”. Chúng tôi đã thưa với ngài rằng: “Ðứa nhỏ không thể bỏ cha nó được”. Nhưng ngài đã nói dứt khoát với các tôi tớ ngài rằng: “Nếu em út các ngươi không tới với các ngươi, thì các ngươi sẽ không thấy mặt ta nữa”. Vậy khi chúng tôi trở về cùng tôi tớ của ngài là cha chúng tôi, chúng tôi đã thuật lại hết mọi điều ngài đã nói. Cha chúng tôi bảo rằng: “Các con hãy trở lại mua thêm ít lúa thóc nữa”. Chúng tôi trả lời với người rằng: “Chúng con không thể đi được. Nếu em út đi với chúng con, thì chúng con cùng đi chung với nhau. Nếu em út không đi với chúng con, thì chúng con không dám đến trước mặt người”. Cha chúng tôi nói: “Các con biết rằng bạn ta chỉ sinh ra cho ta hai đứa con trai, một đứa đã ra đi và các con đã nói nó phải thú dữ ăn thịt, và cho đến nay chưa thấy nó trở về; các con lại đem thằng này đi nữa, nếu dọc đường có gì rủi ro xảy đến cho nó, thì các con đưa cha già đầu bạc sầu não này xuống suối vàng cho rồi”.\rKhi ấy Giuse không thể cầm lòng nổi trước mặt mọi người đang đứng đấy, nên truyền cho mọi người ra ngoài, và không còn người nào khác ở đó lúc ông tỏ cho anh em biết mình, ông khóc lớn tiếng: những người Ai-cập và cả nhà vua đều nghe biết. Giuse nói với các anh em rằng: “Tôi là Giuse đây, cha còn sống không?” Các anh em sợ hãi quá nên không dám trả lời. Giuse nói với anh em cách nhân từ rằng: “Hãy đến gần tôi”. Khi họ đến gần, ông lại nói: “Tôi là Giuse em các anh mà các anh đã bán sang Ai-cập. Các anh chớ khiếp sợ, và đừng ân hận vì đã bán tôi sang đất này, vì chưng để cứu sống các anh em mà Thiên Chúa đã sai tôi sang Ai-cập trước anh em”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 16-17. 18-19. 20-21","response":"Ðáp: Các ngươi hãy nhớ lại những điều kỳ diệu Chúa đã làm","verses":["Xướng: Chúa đã gọi cảnh cơ hàn về trên đất nước, và rút đi mọi sự nâng đỡ bằng cơm bánh. Ngài đã sai một người đi trước họ: Giuse đã bị bán để làm nô lệ.","Xướng: Thiên hạ đã lấy xiềng để trói chân người, và cổ người bị cột bằng xích sắt, cho tới khi ứng nghiệm lời tiên đoán của người, lời của Chúa đã biện minh cho người.","Xướng: Vua đã sai cởi trói cho người, Chúa của chư dân cũng đã giải phóng người. Vua đã tôn người làm chủ của mình, và làm chúa trên toàn diện lãnh thổ."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước gì hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 10, 7-15","info":"“Các con đã lãnh nhận nhưng không, thì hãy cho nhưng không”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Các con hãy đi rao giảng rằng “Nước Trời đã gần đến”. Hãy chữa những bệnh nhân, hãy làm cho kẻ chết sống lại, hãy làm cho những kẻ phong cùi được sạch và hãy trừ quỷ. Các con đã lãnh nhận nhưng không thì hãy cho nhưng không. Các con chớ mang vàng bạc, tiền nong trong đai lưng, chớ mang bị đi đường, chớ đem theo hai áo choàng, chớ mang giày dép và gậy gộc, vì thợ thì đáng được nuôi ăn.\r“Khi các con vào thành hay làng nào, hãy hỏi ở đó ai là người xứng đáng, thì ở lại đó cho tới lúc ra đi. Khi vào nhà nào, các con hãy chào rằng: “Bình an cho nhà này”. Nếu nhà ấy xứng đáng thì sự bình an của các con sẽ đến với nhà ấy. Nhưng nếu ai không tiếp rước các con và không nghe lời các con, thì hãy ra khỏi nhà hay thành ấy và giũ bụi chân các con lại. Thật, Thầy bảo các con: Trong ngày phán xét, đất Sôđôma và Gômôra sẽ được xét xử khoan dung hơn thành ấy”.","end":"Ðó là lời Chúa"}},
+        "5145": {"firstReading":{"excerpt":"(Năm I) St 46, 1-7. 28-30","info":"“Cha chết cũng vui lòng, vì Cha đã trông thấy mặt con”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, ông Israel ra đi, đem theo tất cả những gì ông có và đến Giếng Thề; tại đây ông dâng hy tế lên Thiên Chúa của Isaac, cha của ông. Ban đêm trong một thị kiến, ông nghe Chúa gọi ông và nói với ông rằng: “Hỡi Giacóp, Giacóp!” Ông liền thưa: “Này con đây”. Thiên Chúa nói tiếp: “Ta là Thiên Chúa rất hùng mạnh của cha ngươi, nên ngươi đừng sợ, hãy xuống xứ Ai-cập, vì ở đó Ta sẽ làm cho ngươi nên một dân tộc vĩ đại. Ta sẽ xuống đó với ngươi. Cũng chính Ta sẽ đưa ngươi trở về, (sau khi) tay Giuse đã vuốt mắt cho ngươi”.\rBấy giờ Giacóp bỏ Giếng Thề mà đi: các con cái đưa ông và vợ con lên các xe Pharaon đã phái đến rước cha già và tất cả những gì ông có ở Canaan; ông sang Ai-cập với tất cả dòng dõi ông, gồm con trai, con gái và cháu chắt.\rBấy giờ Giacóp sai Giuđa đi trước báo tin cho Giuse biết mà đón rước cha tại Ghêsen. Khi ông đến đó, thì Giuse thắng xe đi đón cha tại Ghêsen. Vừa thấy cha, ông ôm cổ cha mà khóc. Giacóp nói với Giuse rằng: “Cha chết cũng vui lòng, vì cha đã trông thấy mặt con và biết con còn sống”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 36, 3-4. 18-19. 27-28. 39-40","response":"Ðáp: Người hiền được Chúa ban ơn cứu độ","verses":["Xướng: Hãy trông cậy Chúa và hãy làm lành, để được cư ngụ trong đất nước, thọ hưởng an ninh. Hãy hân hoan tin tưởng vào Chúa, Người sẽ ban cho sự lòng bạn thỉnh cầu.","Xướng: Chúa chăm lo cho mạng sống người nhân đức, và phần gia nghiệp họ còn mãi muôn đời. Ngày tai hoạ, những người đó không tủi hổ, và trong nạn đói, họ sẽ được ăn no.","Xướng: Hãy tránh ác và hãy làm lành, hầu được an cư tới ngàn thu, bởi vì Chúa yêu điều chân lý, và không bỏ rơi những tôi tớ trung thành.","Xướng: Người hiền được Chúa ban ơn cứu độ: trong cơn khốn khó, Người là chỗ họ dung thân, Chúa bang trợ và giải thoát họ. Người giải thoát và cứu họ khỏi lũ ác nhân, vì họ đã nương tựa vào Người."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy vào Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 10, 16-23","info":"“Không phải chính các con nói, nhưng là Thánh Thần của Cha các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Này, Thầy sai các con đi như những con chiên ở giữa sói rừng. Vậy các con hãy ở khôn ngoan như con rắn và đơn sơ như bồ câu. Các con hãy coi chừng người đời, vì họ sẽ nộp các con cho công nghị, và sẽ đánh đập các con nơi hội đường của họ. Các con sẽ bị điệu đến nhà cầm quyền và vua chúa vì Thầy, để làm chứng cho họ và cho dân ngoại được biết. Nhưng khi người ta bắt nộp các con, thì các con đừng lo nghĩ phải nói thế nào và nói gì? Vì trong giờ ấy sẽ cho các con biết phải nói gì; vì chưng, không phải chính các con nói, nhưng là Thánh Thần của Cha các con nói trong các con.\r“Anh sẽ đem nộp giết em, cha sẽ nộp con, con cái sẽ chống lại với cha mẹ và làm cho cha mẹ phải chết. Vì danh Thầy, các con sẽ bị mọi người ghen ghét, nhưng ai bền đỗ đến cùng, kẻ ấy sẽ được cứu độ. Khi người ta bắt bớ các con trong thành này, thì hãy trốn sang thành khác. Thầy bảo thật các con: Các con sẽ không đi khắp hết các thành Israel trước khi Con Người đến”.","end":"Ðó là lời Chúa"}},
+        "5146": {"firstReading":{"excerpt":"(Năm I) St 49, 29-33; 50, 15-24","info":"“Thiên Chúa sẽ thăm viếng anh em, và dẫn anh em ra khỏi đất này”.","title":"Trích sách Sáng Thế.","content":"Trong những ngày ấy, Giacóp trối lại cho các con rằng: “Cha sắp về sum họp cùng dân cha. Các con hãy chôn xác cha gần mồ cha ông, trong hang đôi ngoài cánh đồng của Êphron, người Hêthê, ngang thung lũng Mambrê trong đất Canaan, mà Abraham đã mua của Êphron, người Hêthê, để làm nghĩa trang. Nơi đó đã mai táng Abraham và bạn ông là Sara, nơi đó cũng đã mai táng Isaac và bạn ông là bà Rébecca, nơi đó cũng đã mai táng bà Lia”. Trối cho các con xong, Giacóp rút chân lên giường và trút hơi thở, trở về sum họp với dân người.\rKhi Giacóp đã qua đời, anh em của Giuse lo sợ và nói với nhau rằng: “Có khi Giuse còn nhớ sự sỉ nhục đã phải chịu mà trả đũa lại điều ác mà chúng ta đã làm chăng?” Họ liền sai người đến nói với Giuse rằng: “Trước khi chết, cha ngài đã trối lại cho chúng tôi là hãy lấy lời cha mà nói với người rằng: “Cha xin con hãy quên tội ác và lỗi lầm của các anh con đã làm cho con”. Chúng tôi cũng xin ngài tha thứ tội ác của các tôi tớ Thiên Chúa của cha ngài”. Nghe vậy, Giuse bật khóc lên. Các anh em của Giuse đến sấp mình xuống đất mà nói rằng: “Chúng tôi là tôi tớ của ngài”. Giuse đáp rằng: “Anh em đừng sợ! Nào chúng ta có thể chống lại thánh ý Chúa sao? Các anh đã lo nghĩ sự dữ cho tôi, nhưng Thiên Chúa đã đổi nó ra sự lành để tôi được vinh hiển như anh em thấy hôm nay và để cứu sống nhiều dân tộc. Anh em đừng sợ, chính tôi sẽ nuôi dưỡng anh em và con cái anh em”. Ông đã an ủi và lấy lời êm dịu hiền lành mà nói với anh em.\rGiuse và gia quyến cha của ông đã cư ngụ trong nước Ai-cập, và ông sống được một trăm mười tuổi. Ông đã được thấy con cái của Ephraim đến ba đời. Con cái của Makir, là con của Manassê cũng đã sinh ra trên đầu gối Giuse. Các việc ấy đã qua đi, Giuse đã nói cùng anh em: “Sau khi tôi chết, Thiên Chúa sẽ thăm viếng anh em, và dẫn anh em ra khỏi đất này và đưa đến đất mà Người đã thề hứa ban cho Abraham, Isaac và Giacóp”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 1-2. 3-4. 6-7","response":"Ðáp: Các bạn khiêm cung, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh (Tv 68, 33).","verses":["Xướng: Hãy ca tụng Chúa, hãy hoan hô danh Người, hãy kể ra sự nghiệp Chúa ở giữa chư dân. Hãy xướng ca, đàn hát mừng Người, hãy tường thuật mọi điều kỳ diệu của Chúa.","Xướng: Hãy tự hào vì danh thánh của Người, tâm hồn những ai tìm Chúa, hãy mừng vui. Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn.","Xướng: Hỡi miêu duệ Abraham là tôi tớ của Người, hỡi con cháu Giacóp, những kẻ được Người kén chọn. Chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Người bao trùm khắp cả địa cầu."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! – Nếu anh em bị sỉ nhục vì danh Đức Ki-tô, anh em thật có phúc, bởi lẽ Thần Khí của Thiên Chúa ngự trên anh em. – Alleluia."},"gospel":{"excerpt":"Mt 10, 24-33","info":"“Các con đừng sợ những kẻ giết được thân xác”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Môn đệ không hơn thầy, và tôi tớ không hơn chủ mình. Môn đệ được bằng thầy, tôi tớ được bằng chủ mình thì đã là khá rồi. Nếu họ đã gọi chủ nhà là Bêelgiêbul thì huống hồ là người nhà của Ngài. Vậy các con đừng sợ những người đó, vì không có gì che giấu mà không bị thố lộ; và không có gì kín nhiệm mà không hề hay biết. Ðiều Thầy nói với các con trong bóng tối, hãy nói nơi ánh sáng; và điều các con nghe rỉ tai, hãy rao giảng trên mái nhà.\r“Các con đừng sợ kẻ giết được thân xác, nhưng không thể giết được linh hồn. Các con hãy sợ Ðấng có thể ném cả xác lẫn hồn xuống địa ngục. Nào người ta không bán hai chim sẻ với một đồng tiền đó sao? Thế mà không con nào rơi xuống đất mà Cha các con không biết đến. Phần các con, tóc trên đầu các con đã được đếm cả rồi. Vậy các con đừng sợ: các con còn đáng giá hơn chim sẻ bội phần.\r“Vậy ai tuyên xưng Thầy trước mặt người đời, thì Thầy sẽ tuyên xưng nó trước mặt Cha Thầy là Ðấng ngự trên trời. Còn ai chối Thầy trước mặt người đời, thì Thầy sẽ chối nó trước mặt Cha Thầy là Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},
+        "5151": {"firstReading":{"excerpt":"(Năm I) Xh 1, 8-14. 22","info":"“Chúng ta hãy đàn áp Israel, kẻo nó sinh sản ra nhiều”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, nhà vua mới lên ngôi cai trị nước Ai-cập, ông không biết Giuse, nên nói với dân chúng rằng: “Kìa, dân tộc con cái Israel nhiều và hùng mạnh hơn chúng ta. Nào, chúng ta hãy khôn khéo đàn áp chúng, kẻo chúng gia tăng lên nhiều. Và nếu xảy ra chiến tranh, chúng sẽ tiếp tay quân thù đánh lại chúng ta, rồi rút lui khỏi xứ chúng ta”.\rVậy vua truyền lệnh cho các trưởng dịch bắt họ làm việc cực nhọc hơn, bắt họ xây những thành Phithom và Ramsê làm kho tàng cho Pharaon. Nhưng người ta càng đàn áp họ, thì họ lại càng sinh sản và bành trướng nhiều hơn. Các người Ai-cập càng ghen ghét con cái Israel và càng bắt họ làm việc khổ cực hơn. Người ta làm cho đời sống họ thêm cay cực, bắt họ làm những việc nặng nhọc, nhồi đất, đúc gạch và làm mọi công việc đồng áng. Bấy giờ vua Pharaon truyền lệnh cho toàn dân của vua rằng: “Bất cứ con trai (Do-thái) nào mới sinh, thì hãy ném nó xuống sông, chỉ để lại những trẻ gái mà thôi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 123, 1-3. 4-6. 7-8","response":"Ðáp: Ơn phù trợ chúng tôi ở nơi danh Chúa","verses":["Xướng: Nếu như Chúa không che chở chúng tôi – Israel hãy xướng lên – nếu như Chúa không che chở chúng tôi, khi thiên hạ cùng chúng tôi gây hấn, bấy giờ người ta đã nuốt sống chúng tôi rồi, khi họ bầng bầng giận dữ chúng tôi.","Xướng: Bấy giờ nước cả đã lôi cuốn mất, trào lưu đã ngập lút con người chúng tôi; bấy giờ sóng cả kiêu hùng đã ngập lút chúng tôi! Chúc tụng Chúa vì Người đã không để chúng tôi nên mồi trao đưa vào răng chúng.","Xướng: Hồn chúng tôi như cánh chim non thoát khỏi lưới dò của người gài bẫy bắt chim. Lưới dò đã đứt gãy, và chúng tôi đã thoát thân. Ơn phù trợ chúng tôi ở nơi danh Chúa, là Ðấng tạo thành trời đất!"]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! – Phúc thay ai bị bách hại vì sống công chính, vì Nước Trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mt 10, 34 – 11, 1","info":"“Thầy không đến để đem hòa bình, nhưng đem gươm giáo”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Các con chớ tưởng rằng Thầy đến để mang hoà bình cho thế gian: Thầy không đến để đem hoà bình, nhưng đem gươm giáo. Vì chưng, Thầy đến để gây chia rẽ con trai với cha mình, con gái với mẹ mình, nàng dâu với mẹ chồng mình: và thù địch của người ta lại là chính người nhà mình. Kẻ nào yêu mến cha mẹ hơn Thầy, thì chẳng xứng đáng với Thầy. Kẻ nào yêu con trai con gái hơn Thầy, thì chẳng xứng đáng với Thầy. Kẻ nào không vác thập giá mình mà theo Thầy, thì không xứng đáng với Thầy. Kẻ nào cố tìm mạng sống mình thì sẽ mất, và kẻ nào đành mất mạng sống mình vì Thầy, thì sẽ tìm lại được nó.\rKẻ nào đón tiếp các con là đón tiếp Thầy, và kẻ nào đón tiếp Thầy, là đón tiếp Ðấng đã sai Thầy. Kẻ nào đón tiếp một tiên tri với danh nghĩa là tiên tri, thì sẽ lãnh phần thưởng của tiên tri; và kẻ nào đón tiếp người công chính với danh nghĩa người công chính, thì sẽ lãnh phần thưởng của người công chính. Kẻ nào cho một trong những người bé mọn này uống chỉ một bát nước lã mà thôi với danh nghĩa là môn đệ, thì quả thật, Thầy nói với các con: người ấy không mất phần thưởng đâu”.\rSau khi Chúa Giêsu truyền dạy xong các điều ấy cho mười hai tông đồ, Người rời khỏi đó để đi dạy dỗ và rao giảng trong các thành phố của các ông.","end":"Ðó là lời Chúa"}},
+        "5152": {"firstReading":{"excerpt":"(Năm I) Xh 2, 1-15a","info":"“Bà đặt tên cho trẻ là Môsê, vì vớt nó dưới nước lên; và khi đã khôn lớn Môsê đi thăm anh em”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, có một người đàn ông thuộc nhà Lêvi đi cưới vợ cũng trong chi tộc mình. Nàng mang thai và sinh hạ một con trai. Thấy con trẻ khôi ngô tuấn tú, nàng giấu kín trong ba tháng. Khi thấy không thể nào giấu kín được nữa, nàng liền lấy chiếc thúng trét nhựa thông, rồi bỏ đứa trẻ vào trong, đem thả trong đám sậy ở bờ sông. Chị đứa bé đứng xa xa để quan sát sự việc xảy ra thế nào.\rBấy giờ có công chúa con Pharaon xuống tắm dưới sông, còn các nữ tỳ đi bách bộ theo bờ sông. Khi thấy cái thúng mây ở giữa bụi sậy, nàng sai một nữ tỳ xuống vớt lên, vừa mở ra, thấy một trẻ nam nằm khóc trong đó, nàng thương hại và nói: “Ðây là đứa trẻ Do-thái”. Bấy giờ chị đứa trẻ thưa với công chúa rằng: “Bà có muốn tôi đi tìm cho bà một phụ nữ Do-thái có thể nuôi đứa trẻ này không?” Công chúa đáp: “Ði tìm đi”. Chị đứa trẻ liền đi kêu mẹ nó. Công chúa Pharaon nói với mẹ đứa trẻ rằng: “Chị hãy lãnh nuôi đứa trẻ này giùm tôi, tôi sẽ trả công cho chị”. Chị ta liền nhận nuôi đứa trẻ, và khi nó lớn lên, thì đem đến cho công chúa Pharaon. Công chúa nhận đứa trẻ làm con nuôi, đặt tên cho nó là Môsê và nói: “Vì tôi đã vớt nó dưới nước lên”.\rTrong những ngày ấy, Môsê đã khôn lớn, liền đi thăm anh em mình, người thấy họ cơ cực, và thấy một người Ai-cập đang hành hung một người Do-thái là anh em của mình. Sau khi đã nhìn qua nhìn lại, không thấy ai, Người liền hạ sát tên Ai-cập và vùi thây dưới cát. Hôm sau, người đi ra, thấy hai người Do-thái đang đánh lộn với nhau, người bảo kẻ có lỗi rằng: “Tại sao anh đánh người bạn của anh?” Anh ta trả lời: “Ai đã đặt anh làm lãnh tụ và quan án xét xử chúng tôi? Anh cũng muốn giết tôi như anh đã giết người Ai-cập hôm qua sao?” Môsê lo sợ và nói: “Việc này người ta đã hay biết rồi sao?”\rPharaon nghe biết câu chuyện, liền tìm giết Môsê. Nhưng Môsê đã lánh mặt nhà vua, trốn sang xứ Mađian.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 3. 14. 30-31. 33-34","response":"Ðáp: Các bạn khiêm cung, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh","verses":["Xướng: Tôi bị dìm trong hố bùn lầy, không có chỗ để đặt chân nương tựa. Tôi bị rơi trong đầm sâu nước lớn, và ba đào đang lôi cuốn thân tôi.","Xướng: Nhưng lạy Chúa, con dâng lời nguyện cầu lên Chúa. Ôi Thiên Chúa, đây là lúc biểu lộ tình thương. Xin nhậm lời con theo lượng cả đức từ bi, theo ơn phù trợ trung thành của Chúa.","Xướng: Phần con, con đau khổ cơ hàn; lạy Chúa, xin gia ân phù trợ, bảo toàn thân con. Con sẽ xướng bài ca ngợi khen danh Chúa, và con sẽ chúc tụng Ngài với bài tri ân.","Xướng: Các bạn khiêm cung hãy nhìn coi và hoan hỉ; các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ và không chê bỏ con dân của Người bị bắt cầm tù."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa, và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 11, 20-24","info":"“Trong ngày phán xét, Tyro và Siđon sẽ được xét xử khoan dung hơn các ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu quở trách các thành đã chứng kiến nhiều phép lạ Người làm mà không chịu sám hối: “Hỡi Corozain, khốn cho ngươi! Hỡi Bethsaiđa, khốn cho ngươi! Vì nếu đã xảy ra tại Tyrô và Siđon các phép lạ diễn ra nơi các ngươi, thì họ đã mặc áo nhặm, rắc tro mà ăn năn hối cải từ lâu rồi. Nên Ta bảo các ngươi: Trong ngày phán xét, Tyrô và Siđon sẽ được xét xử khoan dung hơn các ngươi.\r“Còn ngươi, hỡi Capharnaum, chớ thì ngươi nhắc mình lên tận trời sao? Ngươi sẽ phải rơi xuống địa ngục, vì nếu các phép lạ diễn ra giữa ngươi mà xảy ra tại Sôđôma, thì thành ấy đã tồn tại cho đến ngày nay. Vậy Ta bảo thật các ngươi: Trong ngày phán xét, Sôđôma sẽ được xét xử khoan dung hơn ngươi”.","end":"Ðó là lời Chúa"}},
+        "5153": {"firstReading":{"excerpt":"(Năm I) Xh 3, 1-6. 9-12","info":"“Chúa hiện ra trong ngọn lửa cháy từ giữa bụi gai”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê chăn chiên cho ông nhạc gia là Giêtrô, tư tế xứ Mađian. Ông lùa đoàn chiên qua sa mạc, đến núi Horeb là núi của Thiên Chúa. Thiên Chúa hiện ra với ông trong ngọn lửa cháy từ giữa bụi gai. Ông nhìn thấy bụi gai bốc lửa, nhưng không bị thiêu rụi. Môsê nói: “Ta hãy lại xem cảnh tượng kỳ lạ này, vì sao bụi gai không bị thiêu rụi?”\rThiên Chúa thấy ông lại xem, từ giữa bụi gai Người gọi ông: “Môsê, Môsê!” Ông thưa: “Dạ con đây!” Chúa nói: “Ngươi đừng đến gần đây. Hãy cởi dép ở chân ra, vì chỗ ngươi đang đứng là nơi thánh”. Chúa lại nói: “Ta là Thiên Chúa của Tổ phụ ngươi. Thiên Chúa của Abraham, Thiên Chúa của Isaac, Thiên Chúa của Giacóp”. Môsê che mặt, vì không dám nhìn Thiên Chúa.\rChúa phán với ông: “Tiếng kêu van của con cái Israel đã thấu đến Ta; Ta đã thấy họ bị người Ai-cập hà hiếp khổ cực. Bây giờ ngươi hãy lại đây, và Ta sai ngươi đến Pharaon, để ngươi dẫn đưa dân Ta là con cái Israel ra khỏi Ai-cập”.\rMôsê thưa cùng Thiên Chúa rằng: “Con là ai mà dám ra trước mặt Pharaon và dẫn đưa con cái Israel ra khỏi Ai-cập?” Chúa bảo ông: “Ta sẽ ở cùng ngươi; và cứ dấu này mà biết Ta đã sai ngươi: Khi ngươi dẫn đưa dân Ta ra khỏi Ai-cập, thì ngươi hãy tế lễ Thiên Chúa trên núi này”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 6-7","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân, Người đội đầu ngươi bằng mão từ bi, ân sủng. – Ðáp.","Xướng: Chúa thi hành những việc công minh, và trả lại quyền lợi cho những người bị ức. Người tỏ cho Môsê được hay đường lối, tỏ công cuộc Người cho con cái Israel. – Ðáp."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa và đừng cứng lòng. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Lạy Cha là Chúa Tể trời đất, con xin ngợi khen Cha, vì Cha đã mạc khải mầu nhiệm Nước Trời cho những người bé mọn. – Alleluia"},"gospel":{"excerpt":"Mt 11, 25-27","info":"“Chúa đã giấu không cho những người khôn ngoan biết những điều ấy, mà lại mạc khải cho những kẻ bé mọn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thưa rằng: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã giấu không cho những người hiền triết và khôn ngoan biết những điều ấy, mà lại mạc khải cho những kẻ bé mọn. Vâng, lạy Cha, vì ý Cha muốn như vậy. Mọi sự đã được Cha Ta trao phó cho Ta. Và không ai biết Con trừ ra Cha; và cũng không ai biết Cha trừ ra Con và kẻ Con muốn mạc khải cho”.","end":"Ðó là lời Chúa"}},
+        "5154": {"firstReading":{"excerpt":"(Năm I) Xh 3, 13-20","info":"“Ta là Ðấng tự hữu. Ðấng tự hữu sai tôi đến với anh em”.","title":"Trích sách Xuất Hành.","content":"(Khi nghe tiếng Thiên Chúa phán ra từ giữa bụi gai), Môsê thưa với Người rằng: “Này con sẽ đến với con cái Israel và bảo họ: Thiên Chúa của tổ phụ anh em đã sai tôi đến với anh em. Nếu họ có hỏi con “Tên Người là gì”, con sẽ nói sao với họ?” Thiên Chúa nói với Môsê: “Ta là Ðấng Tự Hữu”. Chúa nói: “Ngươi sẽ bảo con cái Israel thế này: Ðấng Tự Hữu sai tôi đến với anh em”.\rThiên Chúa lại nói với Môsê: “Ngươi sẽ bảo con cái Israel thế này: Thiên Chúa của tổ phụ anh em, Thiên Chúa của Abraham, Thiên Chúa của Isaac, Thiên Chúa của Giacóp sai tôi đến với anh em. Ðó là danh Ta cho đến muôn đời, đó là danh Ta phải ghi nhớ qua mọi thế hệ. Ngươi hãy đi họp các kỳ lão Israel lại và bảo họ rằng: Chúa là Thiên Chúa tổ phụ anh em, là Thiên Chúa Abraham, Thiên Chúa Isaac và Thiên Chúa Giacóp hiện ra với tôi và phán rằng: Ta đã thăm viếng các ngươi, Ta đã thấy tất cả những sự ngược đãi đối với các ngươi trong đất Ai-cập, nên Ta nói rằng: Ta sẽ dẫn đưa các ngươi khỏi cảnh khốn khó ở Ai-cập, mà đem vào đất Canaan, Hêthê, Amorrha, Phêrêzê, Hêvê và Giêbusa, là đất chảy đầy sữa và mật.\r“Chúng sẽ nghe lời ngươi. Vậy ngươi và các kỳ lão Israel hãy đi đến vua Ai-cập và tâu cùng vua rằng: Chúa là Thiên Chúa người Do-thái đã gọi chúng tôi. Chúng tôi phải đi ba ngày đàng lên nơi hoang địa, để tế lễ Chúa là Thiên Chúa chúng tôi.\r“Nhưng Ta biết rằng vua Ai-cập sẽ không để cho các ngươi ra đi đâu, trừ khi ra tay hùng mạnh. Vì thế Ta sẽ giơ tay ra đánh phạt Ai-cập bằng những phép lạ mà Ta sẽ làm giữa họ. Khi đó, vua mới để cho các ngươi đi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 1và 5. 8-9. 24-25. 26-27","response":"Ðáp: Tới muôn đời Chúa vẫn nhớ lời minh ước. Hoặc đáp: Alleluia.","verses":["Xướng: Hãy ca tụng Chúa, hãy hoan hô danh Người; hãy kể ra sự nghiệp Chúa ở giữa chư dân. Hãy nhớ lại những điều kỳ diệu Chúa đã làm, những phép lạ, và những điều miệng Người phán quyết. – Ðáp.","Xướng: Tới muôn đời Người vẫn nhớ lời minh ước, lời hứa mà Người đã an bài tới muôn thế hệ, lời minh ước Người đã ký cùng Abraham, lời thề hứa Người đã thề với Isaac. – Ðáp.","Xướng: Chúa đã khiến dân Người sinh sản rất đông, và làm cho họ uy dũng hơn cả quân thù. Người đã đổi lòng chúng để chúng ghét dân Người, và đối xử gian ngoan với các tôi tớ của Người. – Ðáp.","Xướng: Bấy giờ Người đã sai Môsê là tôi tớ của Người và Aaron mà Người đã chọn. Các ông thực hiện những phép lạ của Người giữa bọn chúng, và những điều kỳ diệu trong lãnh thổ họ Cam. – Ðáp."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! – Chúa nói: “Tất cả những ai đang vất vả mang gánh nặng nề, hãy đến cùng tôi, tôi sẽ cho nghỉ ngơi bồi dưỡng” – Alleluia."},"gospel":{"excerpt":"Mt 11, 28-30","info":"“Ta hiền lành và khiêm nhượng trong lòng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Hãy đến với Ta tất cả, hỡi những ai khó nhọc và gánh nặng, Ta sẽ nâng đỡ bổ sức cho các ngươi. Hãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng, và tâm hồn các ngươi sẽ gặp được bình an. Vì ách của Ta thì êm ái và gánh của Ta thì nhẹ nhàng”.","end":"Ðó là lời Chúa"}},
+        "5155": {"firstReading":{"excerpt":"(Năm I) Xh 11, 10 – 12, 14","info":"“Các ngươi hãy giết con chiên con vào chiều tối. Hễ nhìn thấy máu, Ta sẽ vượt qua các ngươi”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê và Aaron đã làm các phép lạ trước mặt Pharaon như đã chép. Nhưng Chúa để cho Pharaon vẫn cứng lòng, không cho phép con cái Israel ra khỏi nước mình.\rTại Ai-cập, Chúa phán cùng Môsê và Aaron rằng: “Tháng này đối với các ngươi là tháng đầu, tức là tháng đầu năm. Các ngươi hãy loan truyền cho toàn thể cộng đồng con cái Israel rằng: “Ðến mồng mười tháng này, mỗi gia đình phải lo cho có một con chiên con. Nếu nhà ít người, liệu ăn không hết một con chiên con, thì hãy hợp chung với những người lân cận, tuỳ theo số người. Con chiên con phải không tì tích, là chiên đực và được một tuổi. Các ngươi cũng có thể dùng một con dê đực theo quy luật đó. Các ngươi nuôi nó cho đến ngày mười bốn tháng này, rồi toàn thể cộng đồng con cái Israel sẽ giết nó vào chiều tối. Tại mỗi nhà ăn thịt chiên, người ta sẽ lấy máu chiên bôi lên hai khung cửa và trên thành cửa. Ðêm đó, người ta sẽ ăn thịt chiên nướng với bánh không men và rau diếp đắng. Các ngươi không được ăn thịt sống hay luộc, mà chỉ được ăn thịt nướng. Phải ăn tất cả đầu, chân và lòng. Ðừng để thừa đến sáng hôm sau. Nếu ăn còn dư, thì hãy thiêu huỷ đi.\r“Các ngươi sẽ ăn như thế này: Hãy thắt lưng, chân mang giày, tay cầm gậy và ăn hối hả, vì đây là lễ Vượt Qua của Chúa. Ðêm đó, Ta sẽ rảo qua khắp nước Ai-cập. Ta sẽ giết chết tất cả con đầu lòng trong xứ Ai-cập, từ loài người cho đến loài vật. Ta là Chúa. Ta sẽ ra án phạt tất cả các bụt thần Ai-cập. Máu bôi lên thành cửa nhà các ngươi sẽ dùng làm dấu hiệu: Hễ nhìn thấy máu, Ta sẽ vượt qua các ngươi, các ngươi sẽ không bị huỷ diệt khi Ta trừng phạt nước Ai-cập.\r“Các ngươi hãy ghi ngày đó làm ngày kỷ niệm, và cử hành ngày đó như ngày đại lễ của Chúa, qua các thế hệ cho đến muôn đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 15-16bc. 17-18","response":"Ðáp: Con sẽ lãnh chén cứu độ, và con sẽ kêu cầu danh Chúa","verses":["Xướng: Con lấy gì dâng lại cho Chúa để đền đáp những điều Ngài ban tặng cho con? Con sẽ lãnh chén cứu độ, và con sẽ kêu cầu danh Chúa.","Xướng: Trước mặt Chúa thật là quý hoá cái chết của những bậc thánh nhân Ngài. Con là tôi tớ Ngài, con trai của nữ tì Ngài, Ngài đã bẻ gãy xiềng xích cho con.","Xướng: Con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ, và con sẽ kêu cầu danh Chúa. Con sẽ giữ trọn lời khấn xin cùng Chúa trước mặt toàn thể dân Ngài."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 12, 1-8","info":"“Con Người cũng là chủ ngày sabbat”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, vào ngày Sabbat, Chúa Giêsu đi ngang cánh đồng lúa. Các môn đệ của Người đói, liền bứt bông lúa mà ăn. Thấy vậy, các người biệt phái thưa với Người rằng: “Kìa, các môn đệ của Ngài làm điều không được phép làm trong ngày Sabbat”. Người nói với các ông rằng: “Các ông không đọc thấy Ðavít và những người đi với ông đã làm gì khi đói lả sao? Các ông cũng không đọc thấy Ðavít vào đền thờ Chúa ăn bánh trưng hiến, bánh mà ông và các kẻ theo ông không được phép ăn, chỉ trừ các tư tế được ăn mà thôi sao? Hay các ông không đọc thấy trong luật rằng: Ngày Sabbat, các tư tế trong đền thờ vi phạm ngày Sabbat mà không mắc tội đó sao? Tôi bảo cho các ông biết, đây có Ðấng còn trọng hơn đền thờ nữa. Vì nếu các ông biết được điều này là, “Ta muốn lòng nhân từ, chứ không muốn hy lễ”, chắc các ông không bao giờ lên án những người vô tội, vì chưng Con Người cũng là chủ ngày Sabbat”.","end":"Ðó là lời Chúa"}},
+        "5156": {"firstReading":{"excerpt":"(Năm I) Xh 12, 37 – 42","info":"“Ðêm đó, Chúa dẫn dắt Israel ra khỏi đất Ai-cập”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, con cái Israel đi từ Ramessê tới So-coth, số đàn ông đi bộ, không kể con nít, chừng sáu trăm ngàn. Và cũng có vô số dân tứ chiến cùng đi với họ, và vô số chiên bò và súc vật. Họ làm bánh không men bằng bột mang theo từ Ai-cập, vì lúc ra đi họ bị thối thúc rời Ai-cập, không kịp nhào men và cũng không kịp chuẩn bị lương thực.\rThời gian con cái Israel cư ngụ ở Ai-cập là bốn trăm ba chục năm. Thời kỳ đó đã mãn vào ngày toàn thể đạo binh của Chúa đi ra khỏi đất Ai-cập. Ðêm đó là đêm phải giữ để kính nhớ Chúa đã dẫn đưa họ ra khỏi đất Ai-cập. Qua các thế hệ, mọi con cái Israel phải giữ đêm ấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 135, 1 và 23-24. 10-12. 13-15","response":"Ðáp: Bởi đức từ bi Người muôn thuở.","verses":["Xướng: Hãy ca ngợi Chúa, bởi Người hảo tâm, bởi đức từ bi Người muôn thuở. Người đã nhớ chúng tôi, khi chúng tôi bị nhục nhằn, bởi đức từ bi Người muôn thuở. Và Người đã cứu chúng tôi thoát khỏi địch nhân, bởi đức từ bi Người muôn thuở.","Xướng: Người sát phạt người Ai-cập, giết con đầu lòng của họ, bởi đức từ bi Người muôn thuở. Và Người đã đưa Israel ra khỏi giang san họ, bởi đức từ bi Người muôn thuở. Do tay dũng lực và thẳng cánh tay giơ, bởi đức từ bi Người muôn thuở.","Xướng: Người đã chia đôi Biển Ðỏ ra, bởi đức từ bi Người muôn thuở. Và đưa Israel qua giữa trung tâm, bởi đức từ bi Người muôn thuở. Người đã gìm Pharaon và binh mã xuống Biển Hồng, bởi đức từ bi Người muôn thuở."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mt 12, 14 – 21","info":"“Người cấm họ đừng cho ai biết Người, để ứng nghiệm lời đã phán”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các người biệt phái đi ra ngoài, bàn mưu kế chống lại Chúa Giêsu để hãm hại Người. Biết thế, Chúa Giêsu rời bỏ nơi ấy. Có nhiều kẻ đi theo Người, và ai có bệnh, đều được Người chữa lành. Người cấm họ đừng cho ai biết Người, để ứng nghiệm lời tiên tri Isaia đã chép rằng:\r“Này là tôi tớ Ta đã chọn, là người Ta rất yêu dấu, đẹp lòng Ta mọi đàng. Ta sẽ cho Thần trí ngự trên Người. Người sẽ rao giảng sự công chính cho dân ngoại. Người không cãi cọ hay dức lác, và không ai nghe tiếng Người ngoài đường phố. Người không bẻ gãy cây sậy đã giập, không dập tắt tim đèn còn khói, cho đến lúc Người khiến sự công minh được toàn thắng. Dân ngoại sẽ hy vọng vào danh Người”.","end":"Ðó là lời Chúa"}},
+        "5161": {"firstReading":{"excerpt":"(Năm I) Xh 14, 5-18","info":"“Các ngươi biết rằng Ta là Chúa, khi Ta tỏ vinh quang cho Pharaon”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, người ta báo tin cho vua Ai-cập hay: dân chúng đã trốn đi rồi; Pharaon và quần thần của ông liền đổi lòng đối với dân chúng và nói: “Sao chúng ta lại để dân Israel ra đi, còn ai phục dịch chúng ta nữa?” Vua chuẩn bị xe và đem toàn quân đi với mình. Vua đem theo sáu trăm xe hảo hạng và tất cả loại xe trong xứ Ai-cập, cùng các vị chỉ huy toàn thể quân đội. Chúa để cho lòng Pharaon, vua xứ Ai-cập, ra cứng cỏi, ông đuổi theo con cái Israel, nhưng những người này ra đi cách hùng dũng. Những người Ai-cập theo dấu chân họ và bắt gặp họ đóng trại gần biển. Toàn thể kỵ binh, chiến xa và bộ binh của Pharaon trú ở Phihahirô, đối diện với Beelsêphon.\rLúc Pharaon đến gần, con cái Israel ngước mắt lên thấy quân Ai-cập đuổi theo mình. Họ quá khiếp sợ, kêu lên cùng Chúa, và nói cùng Môsê rằng: “Có lẽ ở Ai-cập không đủ đất để chôn chúng tôi hay sao, mà ông đem chúng tôi lên chết trong sa mạc này? Ông dẫn chúng tôi ra khỏi Ai-cập với mục đích gì? Chẳng phải khi ở Ai-cập chúng tôi đã nói với ông lời này sao?, là: “Ông hãy mặc chúng tôi làm nô lệ cho người Ai-cập, còn hơn là chết trong sa mạc”. Môsê liền nói với dân chúng rằng: “Xin anh em đừng sợ, hãy vững lòng, và anh em sẽ thấy Thiên Chúa hôm nay của chúng ta thế nào? Vì chưng, những người Ai-cập mà hiện giờ anh em thấy đây, anh em sẽ không bao giờ thấy họ nữa. Chúa sẽ chiến đấu cho anh em, nên xin anh em khỏi lo chi”.\rChúa phán cùng Môsê rằng: “Có gì mà kêu đến Ta? Hãy bảo con cái Israel cứ lên đường. Còn ngươi đưa gậy lên và giơ tay trên biển, hãy phân rẽ biển ra, cho con cái Israel đi vào giữa lòng biển khô cạn. Còn Ta, Ta sẽ làm cho lòng người Ai-cập ra chai đá, chúng sẽ rượt theo sau các ngươi. Bấy giờ Ta sẽ tỏ vinh quang cho Pharaon, toàn thể quân lực, chiến xa và kỵ binh của vua ấy biết. Người Ai-cập sẽ biết Ta là Chúa khi Ta tỏ vinh quang cho Pharaon?, chiến xa và kỵ binh của vua ấy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Xh 15, 1-2. 3-4. 5-6","response":"Ðáp: Chúng ta hãy ca tụng Chúa, vì Người uy linh cao cả","verses":["Xướng: Tôi sẽ ca tụng Chúa, vì Người uy linh cao cả. Người đã ném ngựa và người xuống biển khơi. Chúa là sức mạnh và là khúc ca của tôi, chính Người đã cho tôi được cứu thoát. Người là Thiên Chúa tôi, tôi sẽ tôn vinh Người; Người là Chúa tổ phụ tôi, tôi sẽ hát ca mừng Chúa.","Xướng: Chúa như là người chiến sĩ, danh thánh Người thật toàn năng. Người đã ném xe cộ và đạo binh của Pharaon xuống biển, và dìm xuống Biển Ðỏ các tướng lãnh của ông.","Xướng: Các vực thẳm đã chôn sống họ, họ rơi xuống đáy biển như tảng đá to. Lạy Chúa, tay hữu Chúa biểu dương sức mạnh, lạy Chúa, tay hữu Chúa đánh tan quân thù."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mt 12, 38-42","info":"“Nữ hoàng phương nam sẽ chỗi dậy lên án thế hệ này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có mấy luật sĩ và biệt phái thưa cùng Chúa Giêsu rằng: “Lạy Thầy, chúng tôi muốn thấy Thầy làm một dấu lạ”. Người trả lời: “Thế hệ hung ác gian dâm đòi một dấu lạ! Nhưng sẽ không cho dấu lạ nào, trừ dấu lạ tiên tri Giona. Cũng như xưa tiên tri Giona ở trong bụng cá ba đêm ngày thế nào, thì Con Người cũng sẽ ở trong lòng đất ba đêm ngày như vậy. Tới ngày phán xét, dân thành Ninivê sẽ chỗi dậy cùng với thế hệ này và lên án nó, vì họ đã nghe lời tiên tri Giona mà sám hối tội lỗi, nhưng đây có Ðấng cao trọng hơn Giô-na. Ðến ngày phán xét, nữ hoàng phương nam sẽ chỗi dậy cùng với thế hệ này và lên án nó: vì bà từ biên thuỳ trái đất đã đến nghe lời khôn ngoan của vua Salomon, nhưng đây có Ðấng cao trọng hơn Salomon”.","end":"Ðó là lời Chúa"}},
+        "5162": {"firstReading":{"excerpt":"(Năm I) Xh 14, 21 – 15, 1","info":"“Con cái Israel đi qua giữa biển ráo chân”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, khi Môsê giơ tay trên biển, thì bằng một cơn gió đông thổi mạnh suốt đêm, Chúa dồn biển lui và làm cho biển khô cạn. Nước rẽ ra và con cái Israel đi vào giữa lòng biển khô cạn, nước dựng lên như bức thành hai bên tả hữu. Người Ai-cập đuổi theo, toàn thể binh mã của Pharaon, chiến xa và kỵ binh đi theo sau Israel vào giữa lòng biển.\rLúc gần sáng, qua cột mây lửa, Chúa nhìn xuống hàng ngũ Ai-cập, gây rối loạn trong hàng ngũ chúng. Người lật đổ bánh xe, khiến xe tiến tới thật vất vả. Người Ai-cập nói: “Ta hãy chạy trốn Israel, vì Chúa chiến đấu giúp họ, chống chúng ta”.\rChúa phán bảo Môsê: “Hãy giơ tay trên biển để nước trở lại vùi dập người Ai-cập, chiến xa và kỵ binh của chúng”. Môsê giơ tay trên biển, và lúc tảng sáng, biển trở lại như cũ. Người Ai-cập chạy trốn, gặp ngay nước biển ập lại. Chúa xô chúng ngã giữa lòng biển. Nước trở lại, vùi dập chiến xa và kỵ binh. Toàn thể quân lực của Pharaon đã theo dân Israel xuống biển, không còn tên nào sống sót. Còn con cái Israel đã đi giữa lòng biển khô cạn, nước dựng như bức thành hai bên tả hữu.\rNgày đó Chúa cứu Israel khỏi tay Ai-cập. Và họ thấy xác người Ai-cập trôi dạt đầy bờ, và thấy cánh tay oai hùng của Thiên Chúa đè bẹp Ai-cập, toàn dân kính sợ Chúa, tin vào Chúa và vào Môsê tôi tớ Người.\rBấy giờ Môsê cùng với con cái Israel hát mừng Chúa bài ca này: “Tôi sẽ ca tụng Chúa, vì uy linh Người cao cả, Người đã ném ngựa và người xuống biển khơi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Xh 15, 8-9. 10 và 12. 17","response":"Ðáp: Chúng ta hãy ca tụng Chúa, vì Người uy linh cao cả (c. 1a).","verses":["Xướng: Gió hận thù của Chúa thổi lên dồn nước đông lại, những dòng nước đứng dựng lên như thể bức tường, sóng cả vực sâu đông đặc giữa biển khơi. Tên địch tự nhủ: “Ta rượt theo và truy nã, ta sẽ tuốt gươm ra, tay ta sẽ lột trần bọn chúng”.","Xướng: Nhưng Chúa đã thổi gió lên, biển đã nuốt trơn quân thù, chúng chìm lỉm như hòn chì giữa nước biển bao la. Chúa giơ tay hữu ra, đất đã nuốt trửng quân thù, vì tình thương Chúa lãnh đạo dân tộc Người giải thoát.","Xướng: Chúa sẽ đưa họ tới và định cư trên núi thuộc cơ nghiệp Người; ở chính nơi mà Chúa đã chọn làm nhà trú ngụ, lạy Chúa, nơi thánh điện mà tay Chúa đã dựng nên."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mt 12, 46-50","info":"“Người giơ tay trên các môn đệ mà nói: Ðây là mẹ Ta và là anh em Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu còn đang nói với dân chúng, thì mẹ Người và anh em Người đứng ngoài tìm cách nói chuyện với Người. Có kẻ thưa rằng: “Kìa, mẹ Ngài và anh em Ngài đang đứng tìm Ngài ngoài kia”. Nhưng Người trả lời kẻ ấy rằng: “Ai là mẹ Ta, ai là anh em Ta?” Rồi Người giơ tay chỉ các môn đệ mà nói: “Ðây là mẹ Ta và là anh em Ta, vì hễ ai làm theo ý Cha Ta trên trời, thì người ấy là anh em, chị em và là mẹ Ta vậy”.","end":"Ðó là lời Chúa"}},
+        "5163": {"firstReading":{"excerpt":"(Năm I) Xh 16, 1-5. 9-15","info":"“Ta sẽ cho mưa bánh từ trời rơi xuống”.","title":"Trích sách Xuất Hành.","content":"Con cái Israel rời bỏ Êlim và đến hoang địa gọi là Sin, nằm giữa Êlim và Sinai, nhằm ngày mười lăm tháng hai, kể từ khi rời bỏ đất Ai-cập. Toàn thể cộng đoàn con cái Israel kêu trách Môsê và Aaron, họ nói với hai ông rằng: “Thà chúng tôi chết trong đất Ai-cập do tay Chúa, khi chúng tôi ngồi kề bên nồi thịt và ăn bánh no nê. Tại sao các ông dẫn chúng tôi lên sa mạc này, để cả lũ phải chết đói như vầy?”\rChúa liền phán cùng Môsê rằng: “Ðây Ta sẽ cho bánh từ trời rơi xuống như mưa: dân chúng phải đi lượm bánh đủ ăn mỗi ngày, để Ta thử coi dân có tuân giữ lề luật của Ta hay không. Nhưng mỗi ngày thứ sáu phải lấy gấp đôi phần mình quen lượm hằng ngày”.\rMôsê nói cùng Aaron rằng: “Hãy ra lệnh cho toàn thể cộng đoàn con cái Israel biết: Phải đến trước mặt Chúa, vì Người đã nghe lời các ngươi kêu trách rồi”. Ðang khi Aaron nói cùng toàn thể cộng đoàn con cái Israel, họ nhìn về phía sa mạc, thì đây vinh quang của Chúa hiện ra trong đám mây. Và Chúa phán cùng Môsê rằng: “Ta đã nghe tiếng kêu trách của con cái Israel; ngươi hãy nói với họ rằng: “Chiều nay các ngươi sẽ ăn thịt, và sáng mai sẽ ăn bánh no nê, như thế các ngươi sẽ nhận biết rằng Ta là Thiên Chúa các ngươi”.\rChiều hôm ấy, có chim cút bay tới che rợp các trại, và sáng hôm sau có sương sa xuống quanh trại. Tới lúc sương tan trên mặt đất, thì thấy có vật gì nho nhỏ tròn tròn như hột sương đông đặc trên mặt đất. Con cái Israel thấy vậy, liền hỏi nhau rằng: “Man-hu”, có nghĩa là “Cái gì vậy?”, vì họ không biết là thứ gì. Môsê liền nói với họ: “Ðó là bánh do Chúa ban cho anh em ăn”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 77, 18-19. 23-24. 25-26. 27-28","response":"Ðáp: Chúa đã ban cho họ được bánh bởi trời (c. 24b).","verses":["Xướng: Họ đã thử thách Thiên Chúa trong lòng, bằng cách đòi lương thực theo sở thích. Họ buông lời nói nghịch cùng Thiên Chúa, rằng: “Thiên Chúa dọn được bàn ăn trong hoang địa này chăng?”","Xướng: Nhưng Người đã ra lệnh cho ngàn mây trên cõi cao xanh, và Người đã mở rộng các cửa trời, Người đã làm mưa Manna xuống để họ ăn, và Người ban cho họ được bánh bởi trời.","Xướng: Con người được ăn bánh của những bậc hùng anh; Người đã ban cho họ lương thực ăn tới no nê. Người đã khiến gió đông từ trời nổi dậy, và trổ quyền năng dẫn luồng gió Nam thổi tới.","Xướng: Người làm cho thịt mưa xuống trên họ như thể bụi tro, và những loài cầm điểu rơi xuống tựa hồ cát biển. Chúng đã rơi rớt vào trong dinh trại, chung quanh mọi nơi cư xá của họ."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Hạt giống là lời Thiên Chúa, người gieo giống là Đức Ki-tô. Ai tuân giữ lời Người sẽ muôn đời tồn tại. – Alleluia."},"gospel":{"excerpt":"Mt 13, 1-9","info":"“Nó sinh hoa kết quả gấp trăm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Ngày ấy, Chúa Giêsu ra khỏi nhà và đi đến ngồi ở ven bờ biển. Dân chúng tụ tập quanh Người đông đảo đến nỗi Người phải xuống thuyền mà ngồi, còn tất cả dân chúng thì đứng trên bờ. Và Người dùng dụ ngôn mà nói với họ nhiều điều. Người nói:\r“Này đây, có người gieo giống đi gieo lúa. Trong khi gieo, có hạt rơi xuống vệ đường, chim trời bay đến ăn mất. Có hạt rơi xuống trên đá sỏi, chỗ có ít đất, nó liền mọc lên, vì không có nhiều đất. Khi mặt trời mọc lên, bị nắng gắt, và vì không đâm rễ sâu, nên nó khô héo. Có hạt rơi vào bụi gai, gai mọc um tùm, nên nó chết nghẹt. Có hạt rơi xuống đất tốt và sinh hoa kết quả, có hạt được một trăm, có hạt được sáu mươi, hạt ba mươi. Ai có tai để nghe, thì hãy nghe”.","end":"Ðó là lời Chúa"}},
+        "5164": {"firstReading":{"excerpt":"(Năm I) Xh 19, 1-2. 9-11. 16-20b","info":"“Chúa ngự xuống trên núi Sinai trước mặt toàn dân”.","title":"Trích sách Xuất Hành.","content":"Trong ngày ấy, vào tháng thứ ba, sau khi dân Israel ra khỏi xứ Ai-cập, họ đến núi Sinai. Họ rời bỏ đất Raphiđim, đi đến hoang địa Sinai, đóng trại tại đây, và dựng nhà xếp ở miền núi. Và Chúa phán cùng Môsê rằng: “Ngay bây giờ Ta đến cùng ngươi trong đám mây dày đặc, để dân chúng nghe Ta nói với ngươi và tín nhiệm ngươi mãi mãi”. Vậy Môsê trình lên Chúa những lời dân chúng đã nói, và Chúa phán cùng ông rằng: “Ngươi hãy đến cùng dân chúng, thánh hoá họ hôm nay và ngày mai, chúng phải giặt áo sạch sẽ và ngày thứ ba phải sẵn sàng. Vì trong ngày thứ ba, Chúa sẽ ngự xuống trên núi Sinai trước mặt toàn dân”.\rSáng sớm ngày thứ ba, có sấm chớp, và một đám mây dầy đặc bao phủ khắp núi, rồi tiếng kèn vang lên khiến dân chúng trong trại phải kinh sợ. Bấy giờ Môsê dẫn dân chúng ra ngoài trại đứng dưới chân núi nghinh đón Thiên Chúa. Cả núi Sinai đều bốc khói, vì Chúa ngự xuống trên núi trong ngọn lửa, từ trên ngọn núi, khói bốc lên như từ hoả lò, và núi rung chuyển dữ dội. Tiếng kèn thổi mạnh lên dần dần và vang dội thật xa. Môsê thân thưa, và Chúa đáp lại bằng những tiếng sấm sét.\rChúa ngự xuống trên ngọn núi Sinai, và gọi Môsê lên đỉnh núi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","response":"Ðáp: Chúa đáng ca ngợi và tôn vinh muôn đời","verses":["Xướng: Lạy Chúa là Thiên Chúa cha ông chúng con, Chúa đáng chúc tụng, đáng ca ngợi, tôn vinh và tán tụng muôn đời. Chúc tụng thánh danh vinh quang Chúa, đáng ca ngợi, tôn vinh và tán tụng muôn đời.","Xướng: Chúa đáng chúc tụng trong đền thánh vinh quang Chúa, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa ngự trên ngai vương quyền Chúa, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa, Ðấng nhìn thấu vực thẳm và ngự trên các Thần Vệ Binh, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa ngự trên bầu trời, đáng ca ngợi và tôn vinh muôn đời."]},"alleluia":{"verse":"Ga 15, 15b","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Mt 13, 10-17","info":"“Về phần các con, đã cho biết những mầu nhiệm Nước Trời, còn họ thì không cho biết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến gần thưa Chúa Giêsu rằng: “Tại sao Thầy dùng dụ ngôn mà nói với họ?” Người đáp lại: “Về phần các con, đã cho biết những mầu nhiệm Nước Trời, còn họ thì không cho biết. Vì ai đã có, thì ban thêm cho họ được dư dật; còn kẻ không có, thì cái họ có cũng bị lấy đi. Bởi thế, Thầy dùng dụ ngôn mà nói với họ: vì họ nhìn mà không thấy, lắng tai mà không nghe và không hiểu chi hết. Thế mới ứng nghiệm lời tiên tri Isaia nói về họ rằng: “Các ngươi lắng tai nghe mà chẳng hiểu, trố mắt nhìn mà chẳng thấy gì. Vì lòng dân này đã ra chai đá, họ đã bịt tai, và nhắm mắt lại, kẻo mắt thấy được, tai nghe được, và lòng chúng hiểu được mà hối cải, và Ta lại chữa chúng cho lành”.\r“Phần các con, phúc cho mắt các con vì được thấy; và phúc cho tai các con vì được nghe. Quả thật, Thầy bảo các con: Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy, mà không được thấy; mong ước nghe điều các con nghe, mà không được nghe”.","end":"Ðó là lời Chúa"}},
+        "5165": {"firstReading":{"excerpt":"(Năm I) Xh 20, 1-17","info":"“Luật do Môsê đã ban ra”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Chúa phán bảo những lời sau đây: “Ta là Thiên Chúa ngươi, Ðấng đã dẫn dắt ngươi ra khỏi vùng Ai-cập, khỏi nhà nô lệ. Ngươi không được thờ thần nào khác trước mặt Ta, đừng chạm trổ tượng gỗ, hay vẽ hình các vật trên trời, dưới đất, trong nước, dưới lòng đất. Ðừng thờ lạy và phụng sự các hình tượng ấy, vì Ta là Chúa, Thiên Chúa ngươi, Chúa hùng mạnh, Chúa ganh tị, trừng phạt con vì tội lỗi cha, cho đến ba bốn đời, những kẻ ghét Ta; Ta tỏ lòng nhân lành đến ngàn đời đối với những ai kính mến Ta, và tuân giữ các giới răn Ta.\r“Ngươi đừng lấy danh Chúa, Thiên Chúa ngươi, mà lường gạt, vì Chúa không thể không trừng phạt kẻ nào lấy danh Người mà lường gạt.\r“Ngươi hãy nhớ thánh hoá ngày Sabbat. Ngươi làm lụng và làm tất cả mọi việc trong sáu ngày, còn ngày thứ bảy là ngày Sabbat, thì thuộc về Chúa, Thiên Chúa ngươi; trong ngày đó, ngươi, con trai, con gái, tôi tớ nam nữ, súc vật, ngoại kiều trọ trong nhà ngươi, tất cả không được làm việc gì. Vì trong sáu ngày, Chúa đã tạo dựng trời, đất, biển, và tất cả mọi vật trong đó, rồi Người nghỉ trong ngày thứ bảy: cho nên Chúa chúc phúc và thánh hoá ngày Sabbat.\r“Ngươi hãy tôn kính cha mẹ, để ngươi được sống lâu dài trong xứ mà Thiên Chúa sẽ ban cho ngươi.\r“Ngươi chớ giết người; chớ phạm tội ngoại tình; chớ trộm cắp; chớ làm chứng dối hại anh em mình; chớ tham lam nhà của kẻ khác, chớ ham muốn vợ bạn hữu, tôi tớ nam nữ, bò, lừa và bất cứ vật gì của bạn hữu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","response":"Ðáp: Lạy Chúa, Chúa có lời ban sự sống đời đời","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chánh trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết Chúa chân thực, công minh hết thảy.","Xướng: Những điều đó đáng chuộng hơn vàng, hơn cả vàng ròng; ngọt hơn mật, và hơn cả mật chảy tự tàng ong."]},"alleluia":{"verse":"Gc 1, 13","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Hạnh phúc thay người thành tâm thiện chí, hằng ấp ủ lời Chúa trong lòng, nhờ kiên nhẫn mà sinh hoa kết quả. – Alleluia."},"gospel":{"excerpt":"Mt 13, 18-23","info":"“Kẻ nghe lời giảng mà hiểu được, nên sinh hoa kết quả”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Vậy các con hãy nghe dụ ngôn về người gieo giống: Kẻ nào nghe lời giảng về Nước Trời mà không hiểu, thì quỷ dữ đến cướp lấy điều đã gieo trong lòng nó: đó là kẻ thuộc hạng gieo dọc đường. Hạt rơi trên đá sỏi là kẻ khi nghe lời giảng, thì tức khắc vui lòng chấp nhận, nhưng không đâm rễ sâu trong lòng nó: đó là kẻ nông nổi nhất thời, nên khi cuộc bách hại, gian nan xảy đến vì lời Chúa, thì lập tức nó vấp ngã. Hạt rơi vào bụi gai, là kẻ nghe lời giảng, nhưng lòng lo lắng việc đời, ham mê của cải, khiến lời giảng bị chết ngạt mà không sinh hoa kết quả được. Hạt gieo trên đất tốt, là kẻ nghe lời giảng mà hiểu được, nên sinh hoa kết quả, đến nỗi có hạt được một trăm, có hạt sáu mươi, có hạt ba mươi”.","end":"Ðó là lời Chúa"}},
+        "5166": {"firstReading":{"excerpt":"(Năm I) Xh 24, 3-8","info":"“Ðây là máu giao ước Thiên Chúa đã cam kết với các ngươi”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê đến thuật lại cho dân chúng nghe tất cả những lời và lề luật của Chúa và toàn dân đồng thanh thưa rằng: “Chúng tôi xin thi hành mọi lời Chúa đã phán”. Vậy Môsê ghi lại những lời Chúa đã phán. Và sáng sớm, ông chỗi dậy, lập bàn thờ ở chân núi, dựng mười hai cột trụ, chỉ mười hai chi họ Israel. Ông sai các thanh niên trong con cái Israel mang của lễ toàn thiêu và hiến dâng lên Chúa những con bò tơ làm lễ giao hoà. Môsê lấy phân nửa máu đổ vào các chậu, và rưới phân nửa kia lên bàn thờ. Ông mở quyển giao ước ra đọc cho dân nghe và họ thưa rằng: “Chúng tôi xin thi hành và tuân theo tất cả những điều Chúa đã phán”. Ông lấy máu rảy lên dân chúng và nói: “Ðây là máu giao ước Thiên Chúa đã cam kết với các ngươi theo đúng tất cả những lời đó”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 1-2. 5-6. 14-15","response":"Ðáp: Hãy hiến dâng Thiên Chúa lời khen ngợi (c. 14a).","verses":["Xướng: Chúa là Thiên Chúa đã lên tiếng gọi địa cầu, từ chỗ mặt trời mọc lên tới nơi lặn xuống. Từ Sion đầy mỹ lệ, Thiên Chúa hiển linh huy hoàng; Thiên Chúa chúng ta ngự tới, Người sẽ không yên lặng. – Ðáp.","Xướng: “Hãy tập họp cho Ta các tín đồ đã ký lời giao ước của Ta cùng hy sinh lễ”. Và trời cao sẽ loan truyền sự công chính của Người, vì chính Thiên Chúa, Người là thẩm phán. – Ðáp.","Xướng: Hãy hiến dâng Thiên Chúa lời khen ngợi, và làm trọn điều khấn hứa cùng Ðấng Tối Cao. Ngươi hãy kêu cầu Ta trong ngày khốn khó, Ta sẽ giải thoát ngươi và ngươi sẽ kính trọng ta. – Ðáp."]},"alleluia":{"verse":"Gc 1, 21","content":"alleluia. – Anh em hãy khiêm nhu nhận lãnh lời gieo trong lòng, lời đó có thể cứu thoát linh hồn anh em. – Alleluia."},"gospel":{"excerpt":"Mt 13, 24-30","info":"“Hãy cứ để cả hai mọc lên cho đến mùa gặt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán một dụ ngôn khác cùng dân chúng rằng: Nước trời giống như người kia gieo giống tốt trong ruộng mình. Trong lúc mọi người ngủ, thì kẻ thù của ông đến gieo cỏ lùng vào ngay giữa lúa, rồi đi mất.\rKhi lúa lớn lên và trổ bông, thì cỏ lùng cũng lộ ra. Ðầy tớ chủ nhà đến nói với ông rằng: “Thưa ông, thế ông đã không gieo giống tốt trong ruộng ông sao? Vậy cỏ lùng từ đâu mà có?” Ông đáp: “Người thù của ta đã làm như thế”. Ðầy tớ nói với chủ: “Nếu ông bằng lòng, chúng tôi xin đi nhổ cỏ”. Chủ nhà đáp: “Không được, kẻo khi nhổ cỏ lùng, các anh lại nhổ luôn cả lúa chăng. Hãy cứ để cả hai mọc lên cho đến mùa gặt. Và đến mùa, ta sẽ dặn thợ gặt: Các anh hãy nhổ cỏ lùng trước, rồi bó lại từng bó mà đốt đi, sau mới thu lúa lại chất vào lẫm cho ta”.","end":"Ðó là lời Chúa"}},
+        "5171": {"firstReading":{"excerpt":"(Năm I) Xh 32, 15-24. 30-34","info":"“Dân này đã phạm tội nặng nề, và họ đúc bò vàng”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê từ trên núi trở xuống, Tay cầm bia đá có khắc chữ cả hai mặt; và đó là công trình của Thiên Chúa tác tạo, vì chính Chúa đã khắc chữ vào hai bia đá đó. Bấy giờ Giosuê nghe tiếng dân chúng la lối om sòm, nên thưa cùng Môsê rằng: “Có tiếng la giao chiến trong trại”. Môsê đáp: “Ðó không phải là tiếng kêu la giao chiến, cũng không phải tiếng kêu la thất trận, nhưng tôi nghe tiếng người ta ca hát”. Khi đến gần trại, người thấy con bê đực và những người múa. Người quá tức giận, liền ném hai bia đá xuống chân núi và nó bể nát ra. Người đem đốt con bê chúng đã đúc, rồi tán ra thành tro, bỏ vào nước, bắt con cái Israel phải uống.\rNgười nói cùng Aaron rằng: “Dân này đã nói gì với ông mà ông để nó phạm tội nặng nề như thế?” Aaron thưa: “Xin ngài chớ tức giận, nào ngài không biết dân này hay hướng chiều về đàng tội đó sao? Chúng đã nói với tôi rằng: “Xin ông hãy đúc cho chúng tôi những vị thần để dẫn dắt chúng tôi đi, vì ông Môsê, người dẫn chúng tôi ra khỏi đất Ai-cập, chúng tôi không biết chuyện gì đã xảy đến cho ông”. Tôi liền nói với họ: “Ai trong các ngươi có vàng, hãy mang đến cho tôi. Họ mang đến, tôi quăng vàng vào lửa và đúc nên con bê này”.\rHôm sau Môsê nói với dân: “Các ngươi đã phạm một tội rất lớn, nhưng bây giờ ta sắp lên với Giavê: có lẽ ta sẽ xin được Người xá tội cho các ngươi!” Môsê trở lại với Giavê và nói: “Phải! dân này đã phạm một tội rất lớn, chúng đã làm cho mình những thần bằng vàng! Nhưng bây giờ, ước gì Người miễn chấp tội chúng. Bằng không, xin Người hãy xoá con đi khỏi sách Người đã viết”.\rGiavê phán với Môsê: “Ai phạm tội chống lại Ta, Ta sẽ xoá nó khỏi sách của Ta! Còn bây giờ, ngươi hãy đi, hãy dẫn dân đến nơi Ta đã phán với ngươi! Này thần sứ của Ta sẽ đi trước ngươi, và đến ngày truy phạt của Ta, Ta sẽ trừng phạt chúng vì tội của chúng”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 19-20. 21-22. 23","response":"Ðáp: Hãy ca tụng Chúa, bởi Người nhân hậu (c. 1a).","verses":["Xướng: Dân chúng đúc hình bò con tại Horéb, và lễ bái thần tượng đã đúc bằng vàng. Họ đem vinh quang của mình đánh đổi lấy hình tượng con bò ăn cỏ.","Xướng: Họ đã quên Thiên Chúa là Ðấng cứu độ mình, Ðấng đã làm những điều trọng đại bên Ai-cập, Ðấng đã làm những điều kỳ diệu trên lãnh thổ họ Cam, và những điều kinh ngạc nơi Biển Ðỏ.","Xướng: Chúa đã nghĩ tới tiêu diệt họ cho rồi, nếu như Môsê là người Chúa chọn, không đứng ra cầu khẩn với Ngài, để Ngài nguôi giận và đừng tiêu diệt họ. –"]},"alleluia":{"verse":"Ga 17, 17b và a","content":"alleluia! – Lạy Chúa, lời của Chúa là chân lý, xin hãy thánh hoá chúng con trong sự thật. – Alleluia."},"gospel":{"excerpt":"Mt 13, 31-35","info":"“Hạt cải trở thành cây đến nỗi chim trời đến nương náu nơi ngành nó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán một dụ ngôn khác cùng dân chúng rằng: “Nước trời giống như hạt cải người kia gieo trong ruộng mình. Hạt ấy bé nhỏ hơn mọi thứ hạt giống, nhưng khi mọc lên, thì lớn hơn mọi thứ rau cỏ, rồi thành cây, đến nỗi chim trời đến nương náu nơi ngành nó”.\rNgười lại nói với họ một dụ ngôn khác nữa mà rằng: “Nước trời giống như nắm men người đàn bà kia lấy đem trộn vào ba đấu bột, cho đến khi bột dậy men”.\rChúa Giêsu dùng dụ ngôn mà phán những điều ấy với dân chúng. Người không phán điều gì với họ mà không dùng dụ ngôn, để ứng nghiệm lời tiên tri đã chép rằng: “Ta sẽ mở miệng nói lời dụ ngôn: Ta sẽ tỏ ra những điều bí nhiệm từ lúc dựng nên thế gian”.","end":"Ðó là lời Chúa"}},
+        "5172": {"firstReading":{"excerpt":"(Năm I) Xh 33, 7-11; 34, 5b-9. 28","info":"“Chúa đối diện nói chuyện với Môsê”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê hạ nhà xếp, đem dựng ra một khoảng ở ngoài trại, và đặt tên là “nhà xếp giao ước”. Ai trong dân có điều gì muốn hỏi, thì đến nhà xếp ở ngoài trại.\rKhi ông Môsê đi đến nhà xếp, thì toàn dân chỗi dậy, ai nấy ra đứng trước cửa trại mình nhìn theo ông Môsê, cho đến khi ông vào nhà xếp. Khi ông đã vào nhà xếp giao ước, thì có một cột mây rơi xuống, và dừng lại tại cửa, và Chúa đàm đạo cùng Môsê; mọi người trông thấy cột mây dừng lại trước cửa nhà xếp. Họ đứng nơi cửa nhà xếp mình và sấp mình thờ lạy. Chúa đàm đạo cùng Môsê diện đối diện, như người ta quen đàm đạo với bạn hữu mình. Khi ông trở về trại, thì người hầu cận ông là Giôsuê, con ông Nun, còn trẻ tuổi, không rời khỏi nhà xếp.\rÔng Môsê đứng trước mặt Chúa mà khẩn cầu danh Người. Chúa đi ngang qua trước mặt ông và hô lên: “Ðức Chúa! Ðức Chúa! Ðấng cai trị mọi sự, là Ðấng từ bi, nhân hậu, nhẫn nại, đầy lân tuất và chân chính. Chúa xót thương đến ngàn đời, tha thứ gian ác, độc dữ và tội lỗi; (nhưng) trước mặt Chúa không ai coi mình là vô tội. Sự gian ác tổ tiên đã phạm, Chúa phạt con cháu đến ba bốn đời”. Ông Môsê vội vã sấp mình xuống đất thờ lạy Chúa và thưa rằng: “Lạy Chúa, nếu con được ơn nghĩa trước mặt Chúa, thì xin Chúa đi với chúng con, (vì dân này là dân cứng đầu), và xin Chúa tha thứ sự gian ác và tội lỗi chúng con. Xin nhận chúng con làm cơ nghiệp của Chúa”. Vậy ông Môsê ở đó với Chúa bốn mươi đêm ngày, không ăn bánh và không uống nước; Chúa ghi mười lời giao ước vào bia đá.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 6-7. 8-9. 10-11. 12-13","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót (c. 8a).","verses":["Xướng: Chúa thi hành những sự việc công minh, và trả lại quyền lợi cho những người bị ức. Người tỏ cho Môsê được hay đường lối, tỏ công cuộc Người cho con cái Israel.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không chấp tranh triệt để, cũng không đời đời giữ thế căm hờn.","Xướng: Người không xử với chúng tôi như chúng tôi đắc tội, và không trả đũa theo điều oan trái chúng tôi. Nhưng cũng như trời xanh vượt cao trên mặt đất, lòng nhân Người còn siêu việt hơn thế trên kẻ kính sợ Người.","Xướng: Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng tôi. Cũng như người cha yêu thương con cái, Chúa yêu thương những ai kính sợ Người."]},"alleluia":{"verse":"Dt 4, 12","content":"alleluia! – Lời Thiên Chúa là lời hằng sống, linh nghiệm, phân rẽ tư tưởng và là ý muốn của tâm hồn. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Hạt giống là Lời Thiên Chúa, người gieo giống là Đức Ki-tô. Ai tuân giữ lời Người, sẽ muôn đời tồn tại. Alleluia."},"gospel":{"excerpt":"Mt 13, 36-43","info":"“Cũng như người ta thu lấy cỏ lùng, rồi thiêu đốt trong lửa thế nào, thì ngày tận thế cũng sẽ xảy ra như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, sau khi giải tán dân chúng, Chúa Giêsu trở về nhà. Các môn đệ đến gặp Người và thưa rằng: “Xin Thầy giải thích dụ ngôn cỏ lùng trong ruộng cho chúng con nghe”. Người đáp lại rằng: “Kẻ gieo giống tốt là Con Người. Ruộng là thế gian. Còn hạt giống tốt là con cái Nước Trời. Cỏ lùng là con cái gian ác. Kẻ thù gieo cỏ lùng là ma quỷ. Mùa gặt là ngày tận thế. Thợ gặt là các thiên thần. Cũng như người ta thu lấy cỏ lùng, rồi thiêu đốt trong lửa thế nào, thì ngày tận thế cũng sẽ xảy ra như vậy: Con Người sẽ sai các thiên thần đi thu tất cả gương xấu và mọi kẻ làm điều gian ác khỏi nước Chúa, rồi ném tất cả chúng vào lửa: ở đó sẽ phải khóc lóc nghiến răng. Bấy giờ kẻ lành sẽ sáng chói như mặt trời trong nước của Cha mình. Ai có tai để nghe thì hãy nghe”.","end":"Ðó là lời Chúa"}},
+        "5173": {"firstReading":{"excerpt":"(Năm I) Xh 34, 29-35","info":"“Thấy mặt ông Môsê, họ sợ không dám đến gần”.","title":"Trích sách Xuất Hành.","content":"Khi ông Môsê từ trên núi Sinai đi xuống, ông mang hai bia đá chứng từ; và ông không biết do sự đàm đạo với Chúa, mặt ông sáng láng rực rỡ. Nhưng ông Aaron và con cái Israel thấy mặt ông Môsê sáng láng rực rỡ, thì sợ không dám đến gần. Ông Môsê gọi họ, thì cả Aaron lẫn các thủ lãnh hội đường mới quay lại. Sau khi ông nói chuyện với họ, tất cả con cái Israel mới đến gần ông. Ông truyền lại cho họ tất cả những điều ông đã nghe Chúa phán trên núi Sinai. Nói xong, ông lấy khăn che mặt mình. Khi ông vào trước mặt Chúa và đàm đạo với Người, thì ông cất khăn cho đến lúc ông trở ra và bấy giờ ông thuật lại cho con cái Israel những điều Chúa đã truyền dạy ông. Lúc ông Môsê ra đi, họ thấy mặt ông sáng láng rực rỡ; nhưng khi ông nói với họ, ông che mặt ông lại.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 98, 5. 6. 7. 9","response":"Ðáp: Thiên Chúa, Chúa chúng ta, là Ðấng Thánh","verses":["Xướng: Hãy cao rao Chúa là Thiên Chúa chúng ta. Hãy sấp mình dưới bệ kê chân Người; đây là bệ ngọc chí thánh.","Xướng: Trong hàng tư tế của Người có Môsê và Aaron, và có Samuel trong số người cầu đảo danh Người. Các ông kêu cầu Chúa và chính Người nhậm lời các ông.","Xướng:  Trong cột mây, bấy giờ Người phán bảo; các ông đã nghe những huấn lệnh của Người, và chỉ thị Người đã truyền cho các ông giữ.","Xướng: Hãy cao rao Chúa là Thiên Chúng chúng ta; hãy sấp mình trên núi thánh của Người: vì Thiên Chúa, Chúa chúng ta, là Ðấng Thánh."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 13, 44-46","info":"“Anh bán tất cả những gì anh có mà mua thửa ruộng đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Nước trời giống như kho tàng chôn giấu trong ruộng, người kia tìm được, vội chôn vùi xuống, vui mừng trở về bán tất cả những gì anh có mà mua thửa ruộng ấy. Nước trời cũng giống như người buôn nọ đi tìm ngọc quý. Tìm được một viên ngọc quý, anh trở về bán mọi của cải mà mua viên ngọc ấy.","end":"Ðó là lời Chúa"}},
+        "5174": {"firstReading":{"excerpt":"(Năm I) Xh 40, 14-19. 32-36","info":"“Một đám mây che phủ nhà xếp chứng từ, và vinh quang của Chúa tràn ngập nhà xếp”.","title":"Trích sách Xuất Hành.","content":"Trong những ngày ấy, Môsê thi hành tất cả những điều Chúa đã truyền dạy. Vậy ngày mùng một tháng Giêng năm thứ hai, đã dựng nhà xếp xong. Ông Môsê đã dựng nhà xếp, lắp ván, đặt trụ, xà ngang và dựng cột, rồi căng mái nhà xếp và màn che trên mái như Chúa đã truyền dạy. Ông đặt bia chứng từ vào hòm, xỏ đòn khiêng vào hai bên, và để toà phán dạy trên hòm. Khi đã rước hòm bia vào nhà xếp, ông treo màn trước hòm để hoàn tất lời Chúa đã truyền dạy. Sau khi mọi việc đã hoàn tất, thì có một đám mây bao phủ nhà xếp chứng từ, và vinh quang của Chúa tràn ngập nhà xếp.\rVì mây che phủ nhà xếp, và uy linh Chúa sáng rực trong nhà, nên ông Môsê không thể vào trong nhà giao ước, vì có đám mây che phủ mọi sự. Hễ mây lên khỏi nhà xếp, thì con cái Israel kéo nhau đi từng đám, còn khi mây che phủ nhà xếp, thì họ ở lại tại chỗ. Vì ban ngày, đám mây của Chúa che phủ nhà xếp, và ban đêm, có lửa trong mây, nên toàn dân Israel trông thấy suốt thời gian xuất hành của họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6a và 8a. 11","response":"Ðáp: Ôi Chúa thiên binh, khả ái thay cung điện của Ngài","verses":["Xướng: Linh hồn con khát khao và mòn mỏi, mong vào hành lang nhà Ðức Thiên Chúa. Tâm thần và thể xác con hoan hỉ tìm đến cùng Thiên Chúa trường sinh. –","Xướng: Ðến như chim sẻ còn kiếm được nhà, và chim nhạn tìm ra tổ ấm, để làm nơi ấp ủ con mình, cạnh bàn thờ Chúa, ôi Chúa là Thiên Chúa thiên binh, ôi Ðại vương là Thiên Chúa của con.","Xướng: Ôi Thiên Chúa, phúc đức ai ngụ nơi nhà Chúa: họ sẽ khen ngợi Chúa tới muôn đời. Phúc thay người Chúa con nâng đỡ, họ tiến lên ngày càng thêm hăng hái.","Xướng: Thực một ngày sống trong hành lang nhà Chúa, đáng quý hơn ngàn ngày ở nơi đâu khác. Con ưa đứng nơi ngưỡng cửa nhà Chúa, hơn là cư ngụ trong lều bọn ác nhân."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 13, 47-53","info":"“Người ta lựa cá tốt bỏ vào giỏ, còn cá xấu thì ném ra ngoài”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Nước trời lại giống như lưới thả dưới biển, bắt được mọi thứ cá. Lưới đầy, người ta kéo lên bãi, rồi ngồi đó mà lựa chọn: cá tốt thì bỏ vào giỏ, còn cá xấu thì ném ra ngoài. Ðến ngày tận thế cũng như vậy: các thiên thần sẽ đến mà tách biệt kẻ dữ ra khỏi người lành, rồi ném những kẻ dữ vào lò lửa: ở đó sẽ phải khóc lóc nghiến răng. Các ngươi có hiểu những điều đó không?” Họ thưa: “Có”.\rNgười liền bảo họ: “Bởi thế, những thầy thông giáo am tường về Nước trời cũng giống như chủ nhà kia, hay lợi dụng những cái cũ, mới trong kho mình”. Khi Chúa Giêsu phán các dụ ngôn đó xong, thì Người rời khỏi nơi ấy.","end":"Ðó là lời Chúa"}},
+        "5175": {"firstReading":{"excerpt":"(Năm I) Lv 23, 1. 4-11. 15-16. 27. 34b-37","info":"“Các ngươi phải kể những ngày của Chúa là những ngày rất trọng thể và là ngày thánh”.","title":"Trích sách Lêvi.","content":"Chúa phán cùng Môsê rằng: “Ðây là những ngày lễ của Chúa mà các ngươi phải mừng lễ trong thời gian của nó. Chiều ngày mười bốn tháng Giêng là Lễ Vượt Qua của Chúa; và ngày mười lăm tháng Giêng, là lễ trọng không men của Chúa: Các ngươi sẽ ăn bánh không men trong bảy ngày. Ngày thứ nhất, các ngươi phải kể là ngày rất trọng thể, và là ngày thánh, các ngươi không nên làm mọi việc xác trong ngày ấy”. Trong bảy ngày, các người phải thiêu hy lễ dâng lên Chúa. Ngày thứ bảy là ngày trọng thể và là ngày thánh hơn, các ngươi không làm việc xác nào trong ngày ấy”.\rChúa lại phán cùng Môsê rằng: “Ngươi hãy nói cùng con cái Israel và bảo họ rằng: Khi các ngươi đã tiến vào đất Ta sẽ ban cho các ngươi, và khi các ngươi gặt lúa, thì phải mang bó lúa đầu mùa đến cho tư tế, người sẽ giơ bó lúa lên trước mặt Chúa để hôm sau ngày sabbat, người xin Chúa chấp nhận cho các ngươi, và thánh hoá nó. Vậy các ngươi hãy tính từ hôm sau ngày sabbat, là ngày các ngươi đã dâng bó lúa đầu mùa, các ngươi tính đủ bảy tuần, cho đến ngày hôm sau cuối tuần thứ bảy, tức là năm mươi ngày, thì các ngươi phải dâng của lễ mới cho Chúa. Ngày mùng mười tháng Bảy, là ngày đền tội rất trọng thể, gọi là ngày thánh: trong ngày đó, các ngươi phải hãm dẹp tâm hồn, và dâng của lễ toàn thiêu cho Chúa. Từ ngày mười lăm tháng Bảy sẽ mừng lễ Nhà Xếp kính Chúa trong bảy ngày. Ngày thứ nhất sẽ gọi là ngày rất trọng thể và rất thánh, các ngươi không nên làm mọi việc xác trong ngày ấy. Và trong bảy ngày, các ngươi phải dâng của lễ toàn thiêu cho Chúa, ngày thứ tám cũng rất trọng thể và rất thánh, các ngươi phải dâng của lễ toàn thiêu cho Chúa, vì là ngày cộng đoàn tập họp, các ngươi không nên làm mọi việc xác trong ngày ấy.\r“Ðó là những ngày lễ của Chúa mà các ngươi phải kể là những ngày rất trọng thể và rất thánh, trong những ngày ấy, các ngươi phải dâng lên Chúa lễ vật, của lễ toàn thiêu và lễ quán theo nghi lễ của mỗi ngày”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 80, 3-4. 5-6ab. 10-11ab","response":"Ðáp: Hãy reo mừng Thiên Chúa là Ðấng phù trợ chúng ta","verses":["Xướng: Hãy hoà nhạc và đánh trống râm ran; dạo đàn cầm êm ái cùng với thất huyền. Hãy rúc tù và lên mừng ngày trăng mới, trong buổi trăng rằm, ngày đại lễ của chúng ta.","Xướng: Vì đó là điều đã thiết lập cho Israel; đó là huấn lệnh của Thiên Chúa nhà Giacóp. Người đã đặt ra luật này cho nhà Giuse, khi họ cất gót lên đường lìa xa Ai-cập.","Xướng: Ở nơi ngươi đừng có một chúa tể nào khác; ngươi cũng đừng thờ tự một chúa tể ngoại lai: vì Ta là Chúa, là Thiên Chúa của ngươi, Ta đã đưa ngươi ra ngoài Ai-cập."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 13, 54-58","info":"“Nào ông chẳng phải là con bác thợ mộc ư? Vậy bởi đâu ông được những sự ấy?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu trở về quê quán Người, và giảng dạy người ta trong hội đường, khiến người ta ngạc nhiên và nói rằng: “Bởi đâu ông này được sự khôn ngoan và quyền làm phép lạ như vậy? Nào ông chẳng phải là con bác thợ mộc sao? Nào mẹ ông chẳng phải là bà Maria, và Giacôbê, Giuse, Simon, Giuđa chẳng phải là anh em ông sao? Và chị em ông, nào chẳng phải những người ở nơi chúng ta sao? Vậy bởi đâu ông được những sự ấy?” Và họ vấp phạm đến Người.\rNhưng Chúa Giêsu phán cùng họ rằng: “Không tiên tri nào mà không được vinh dự, trừ nơi quê quán và nhà mình”. Người không làm nhiều phép lạ ở đó, vì họ chẳng có lòng tin.","end":"Ðó là lời Chúa"}},
+        "5176": {"firstReading":{"excerpt":"(Năm I) Lv 25, 1. 8-17","info":"“Trong năm toàn xá, người ta làm chủ lại cơ nghiệp mình”.","title":"Trích sách Lêvi.","content":"Chúa phán cùng Môsê trên núi Sinai rằng: “Ngươi cũng phải tính bảy tuần năm, tức là bảy lần bảy, cộng chung là bốn mươi chín năm: Ngày mồng mười tháng bảy, ngươi hãy thổi kèn trong thời gian đền tội trong toàn lãnh thổ ngươi. Ngươi hãy làm cho năm thứ năm mươi nên năm thánh và hãy kể là năm tha tội cho mọi người cư ngụ trong nước ngươi, vì đó là năm toàn xá. Người ta sẽ làm chủ lại cơ nghiệp mình, và ai nấy đều được trở về gia đình cũ của mình, vì năm toàn xá là năm thứ năm mươi. Các ngươi đừng cày cấy, đừng gặt hái hoa màu tự nhiên phát sinh trong đồng ruộng, và đừng hái nho đầu mùa, vì phải kể năm toàn xá là năm thánh, và các ngươi được ăn hoa màu tự nhiên phát sinh.\r“Trong năm toàn xá, mọi người nhận lại cơ nghiệp của mình. Khi ngươi mua bán vật gì với người đồng hương, ngươi chớ làm phiền lòng người anh em, nhưng hãy mua theo số năm toàn xá, và nó sẽ bán cho ngươi theo số hoa lợi của nó. Số các năm sau năm toàn xá càng nhiều thì giá càng cao, và số năm càng ít, thì giá mua càng hạ, vì nó tính mùa hoa lợi mà bán cho ngươi. Các ngươi chớ hà hiếp những người cùng một chi tộc với các ngươi: nhưng mỗi người hãy kính sợ Thiên Chúa mình, vì Ta là Thiên Chúa các ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 66, 2-3. 5. 7-8","response":"Ðáp: Chư dân hãy ca tụng Ngài, thân lạy Chúa, hết thảy chư dân hãy ca tụng Ngài","verses":["Xướng: Xin Thiên Chúa xót thương và ban phúc lành cho chúng con; xin tỏ ra cho chúng con thấy long nhan Ngài tươi sáng, để trên địa cầu thiên hạ nhìn biết đường lối của Ngài, cho chư dân người ta được rõ ơn Ngài cứu độ.","Xướng: Các dân tộc hãy mừng vui và khoái trá, vì Ngài công bình cai trị chư dân, và Ngài cai quản các nước địa cầu.","Xướng: Ðất đã cho chúng tôi hoa trái. Ðức Thiên Chúa, Chúa chúng tôi, đã chúc phúc lành cho chúng tôi. Xin Thiên Chúa chúc phúc lành cho chúng con, để cho khắp cùng bờ cõi trái đất kính sợ Ngài."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay ai bị bách hại vì sống công chính, vì Nước Trời là của họ. Allleluia."},"gospel":{"excerpt":"Mt 14, 1-12","info":"“Hêrôđê sai người đi chặt đầu Gioan, và các môn đệ của Gioan đi báo tin cho Chúa Giêsu”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy quận vương Hêrôđê nghe danh tiếng Chúa Giêsu, thì nói với những kẻ hầu cận rằng: “Người này là Gioan Tẩy Giả, ông từ cõi chết sống lại, nên mới làm được các phép lạ như vậy”. Tại vì Hêrôđia vợ của anh mình mà vua Hêrôđê đã bắt trói Gioan tống ngục, bởi Gioan đã nói với vua rằng: “Nhà vua không được lấy bà ấy làm vợ”. Vua muốn giết Gioan, nhưng lại sợ dân chúng, vì họ coi Gioan như một tiên tri. Nhân ngày sinh nhật của Hêrôđê, con gái Hêrôđia nhảy múa trước mặt mọi người, và đã làm cho Hêrôđê vui thích. Bởi đấy vua thề hứa sẽ ban cho nó bất cứ điều gì nó xin. Ðược mẹ nó dặn trước, nên nó nói: “Xin vua đặt đầu Gioan Tẩy Giả trên đĩa này cho con”. Vua lo buồn, nhưng vì đã trót thề rồi, và vì các người đang dự tiệc, nên đã truyền làm như vậy. Ông sai người đi chặt đầu Gioan trong ngục, và để đầu Gioan trên đĩa đem trao cho cô gái, và nó đem cho mẹ nó. Các môn đồ của Gioan đến lấy xác thầy và chôn cất, rồi đi báo tin cho Chúa Giêsu.","end":"Ðó là lời Chúa"}},
+        "5181": {"firstReading":{"excerpt":"(Năm I) Ds 11, 4b-15","info":"“Một mình tôi không mang nổi dân này”.","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, con cái Israel nói rằng: “Ai sẽ cho chúng tôi thịt ăn? Chúng tôi nhớ lại hồi còn ở Ai-cập, cá thì được ăn không, rồi có dưa chuột, dưa gang, rau cải, hành tỏi. Giờ thì chúng tôi suy nhược, thiếu hết mọi thứ: quay đi ngó lại chỉ thấy manna”.\rManna hình giống hạt ngò, sắc giống hạt châu. Dân chúng đi rảo quanh mà hốt, rồi cho vào cối mà xay hoặc lấy chày mà giã; sau cùng, bỏ vào nồi nấu thành bánh. Mùi vị nó như bánh chiên dầu. Cứ thường đêm, khi sương sa xuống trại thì manna cũng rơi xuống.\rMôsê nghe dân chúng than khóc, nhà nào cũng đứng ở cửa lều. Chúa bừng bừng nổi giận. Môsê rất đỗi bực mình. Ông thưa cùng Chúa rằng: “Sao Chúa làm khổ tôi tớ Chúa? Sao con không được nghĩa với Chúa? Sao Chúa bắt con phải mang cả dân này? Con đâu có cưu mang cả đám dân này, con đâu có sinh ra nó, mà Chúa bảo con: “Hãy ẵm nó vào lòng, như vú nuôi ẵm trẻ thơ, hãy mang nó vào đất Ta đã thề hứa ban cho tổ tiên nó?” Con biết tìm đâu ra thịt để cho cả đám dân này? Họ kêu khóc với con rằng: “Hãy cho chúng tôi ăn thịt”. Một mình con không mang nổi dân này vì là gánh nặng nề đối với con. Nếu Chúa muốn xử với con như thế, thì xin giết con đi, và cho con được nghĩa với Chúa, kẻo con phải khốn cực dường này”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 80, 12-13. 14-15. 16-17","response":"Ðáp: Hãy reo mừng Thiên Chúa là Ðấng phù trợ chúng ta","verses":["Xướng: Dân tộc của Ta chẳng có nghe Ta; Israel đã không vâng lời Ta răn bảo. Bởi thế nên Ta để mặc cho chúng cứng lòng, để chúng sinh hoạt tuỳ theo sở thích.","Xướng: Phải chi dân tộc của Ta biết nghe lời Ta, Israel biết theo đường lối của Ta mà ăn ở, thì lập tức Ta sẽ triệt hạ kẻ thù của chúng, và để đập tan quân địch của chúng, Ta sẽ trở tay.","Xướng: Quân thù của chúng sẽ phải xưng tụng chúng, và vận mạng của chúng sẽ bền vững muôn đời. Ta sẽ lấy tinh hoa lúa mì nuôi dưỡng chúng, và cho chúng ăn no mật từ hốc đá chảy ra."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mt 14, 13-21","info":"“Mọi người đều ăn no”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu nghe tin Gioan Tẩy Giả đã chết, thì Người rời bỏ nơi đó xuống thuyền đi đến nơi hoang địa vắng vẻ. Dân chúng nghe biết, thì từ các thành phố đi bộ theo Người. Ra khỏi thuyền, Người thấy dân chúng đông đảo, thì thương xót họ và chữa những người bệnh tật trong họ.\rChiều tới, các môn đệ đến gần thưa Người rằng: “Ðây là nơi hoang địa, mà giờ đã chiều rồi: xin Thầy giải tán dân chúng, để họ vào các làng mạc mà mua thức ăn”.\rNhưng Chúa Giêsu nói với các ông rằng: “Họ chẳng cần phải đi, các con hãy cho họ ăn”. Các ông thưa lại rằng: “Ở đây chúng con chỉ có năm chiếc bánh và hai con cá”. Người bảo các ông rằng: “Hãy đem lại cho Thầy”.\rKhi Người đã truyền cho dân chúng ngồi trên cỏ, Người cầm lấy năm chiếc bánh và hai con cá, ngước mắt lên trời, đọc lời chúc tụng, bẻ ra và trao cho các môn đệ, các ông này phân phát cho dân chúng. Mọi người đều ăn no. Và người ta thu lượm được mười hai thúng đầy những miếng bánh vụn. Số người ăn là năm ngàn người đàn ông, không kể đàn bà và con trẻ.\r(Trong năm A, khi bài Tin Mừng trên được đọc trong lễ Chúa Nhật 18, thì bài Tin Mừng Mt 14, 22-36  sẽ được đọc trong thánh lễ hôm nay).\r“Xin truyền cho con đi trên mặt nước mà đến cùng Thầy”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\rKhi dân chúng đã ăn no, lập tức Chúa Giêsu giục môn đệ trở xuống thuyền mà qua bờ bên kia trước, trong lúc Người giải tán dân chúng. Giải tán họ xong, Người lên núi cầu nguyện một mình. Ðến chiều, Người vẫn ở đó một mình. Còn thuyền thì đã ra giữa biển, bị sóng đánh chập chờn vì ngược gió.\rCanh tư đêm tối, Người đi trên mặt biển mà đến với các ông. Thấy Người đi trên mặt biển, các ông hoảng hồn mà nói rằng: “Ma kìa” và các ông sợ hãi kêu la lớn tiếng. Lập tức, Chúa Giêsu nói với các ông rằng: “Hãy yên tâm. Thầy đây, đừng sợ”. Phêrô thưa lại rằng: “Lạy Thầy, nếu quả là Thầy, thì xin truyền cho con đi trên mặt nước mà đến cùng Thầy”. Chúa phán: “Hãy đến”. Phêrô xuống khỏi thuyền bước đi trên mặt nước mà đến cùng Chúa Giêsu. Khi thấy gió mạnh, ông sợ hãi và sắp chìm xuống nên la lên rằng: “Lạy Thầy, xin cứu con”. Lập tức, Chúa Giêsu giơ tay nắm lấy ông mà nói: “Người hèn tin, tại sao lại nghi ngờ?” Khi cả hai đã lên thuyền thì gió liền yên lặng. Những người ở trong thuyền đến lạy Người mà rằng: “Thật, Thầy là Con Thiên Chúa!”\rKhi đã sang qua biển hồ, các ngài lên bộ và ghé vào Ghênêsarét. Nhận ra Ngài, dân địa phương liền loan tin đi khắp cả vùng xung quanh, và người ta đem đến cho Ngài hết mọi kẻ ốm đau. Họ nài xin Ngài cho họ rờ đến tua áo choàng của Ngài thôi, và ai đã rờ đến thì đều được chữa lành.","end":"Ðó là lời Chúa"}},
+        "5182": {"firstReading":{"excerpt":"(Năm I) Ds 12, 1-13","info":"“Môsê không như tiên tri khác; sao các ngươi dám nói xấu ông ta?”","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, Maria và Aaron nói xấu ông Môsê, vì vợ ông này là người xứ Êthiôpia. Họ nói: “Thiên Chúa chỉ phán với một mình Môsê mà thôi ư? Người chẳng phán cùng chúng ta như thế sao?” Chúa nghe biết sự ấy – vì Môsê là người hiền lành nhất trong thiên hạ – Chúa liền phán cùng Môsê, Aaron và Maria rằng: “Cả ba hãy đến nhà xếp giao ước”.\rKhi cả ba ra đi, thì Chúa ngự xuống trong cột mây, đứng ngay ở cửa nhà xếp, gọi Aaron và Maria. Hai người tiến tới, và Chúa phán rằng: “Hãy nghe lời Ta nói đây: Nếu trong các ngươi có ai là tiên tri của Chúa, thì Ta hiện ra cùng người ấy trong thị kiến; hay Ta nói truyện với người ấy trong giấc mộng. Nhưng Môsê tôi tớ của Ta không phải thế. Ông rất trung thành trong cả nhà Ta. Ta trực tiếp đối diện nói chuyện với ông, ông thấy Chúa tỏ tường, không bí ẩn hay là hình bóng. Vậy sao các ngươi dám chê trách Môsê tôi tớ của Ta?” Chúa nổi giận họ mà bỏ đi, và đám mây trên nhà xếp cũng bay đi. Thế là Maria bị phung cùi, mình trắng như tuyết.\rAaron ngoảnh lại thấy bà ấy đã bị phung cùi, nên nói với Môsê rằng: “Thưa Ngài, xin đừng phạt chúng tôi đã dại phạm tội. Xin đừng để em tôi nên như kẻ chết và như trẻ sinh non? Ðây phân nửa thịt nó đã bị bệnh phung cùi làm thối nát”. Môsê kêu van cùng Chúa rằng: “Lạy Thiên Chúa, xin Chúa cứu chữa bà ấy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 6bc-7. 12-13","response":"Ðáp: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, vì con đã phạm tội","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Vì sự lỗi con thực là con biết, và tội con ở trước mặt con luôn. Con phạm tội phản nghịch cùng một Thiên Chúa.","Xướng: Con thi hành điều ác trước thiên nhan, hầu tỏ ra Chúa công bình khi phê phán. Này coi, con đã chào đời trong ô uế, và trong tội, mẹ đã hoài thai con.","Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia. (Hoặc đọc:) Alleluia, alleluia! Thưa Thầy, chính Thầy là Con Thiên Chúa, chính Thầy là vua Israel. – Alleluia."},"gospel":{"excerpt":"Mt 14, 22-36","info":"“Xin truyền cho con đi trên mặt nước mà đến cùng Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi dân chúng đã ăn no, lập tức Chúa Giêsu giục môn đệ trở xuống thuyền mà qua bờ bên kia trước, trong lúc Người giải tán dân chúng. Giải tán họ xong, Người lên núi cầu nguyện một mình. Ðến chiều, Người vẫn ở đó một mình. Còn thuyền thì đã ra giữa biển, bị sóng đánh chập chờn vì ngược gió.\rCanh tư đêm tối, Người đi trên mặt biển mà đến với các ông. Thấy Người đi trên mặt biển, các ông hoảng hồn mà nói rằng: “Ma kìa” và các ông sợ hãi kêu la lớn tiếng. Lập tức, Chúa Giêsu nói với các ông rằng: “Hãy yên tâm. Thầy đây, đừng sợ”. Phêrô thưa lại rằng: “Lạy Thầy, nếu quả là Thầy, thì xin truyền cho con đi trên mặt nước mà đến cùng Thầy”. Chúa phán: “Hãy đến”. Phêrô xuống khỏi thuyền bước đi trên mặt nước mà đến cùng Chúa Giêsu. Khi thấy gió mạnh, ông sợ hãi và sắp chìm xuống nên la lên rằng: “Lạy Thầy, xin cứu con”. Lập tức, Chúa Giêsu giơ tay nắm lấy ông mà nói: “Người hèn tin, tại sao lại nghi ngờ?” Khi cả hai đã lên thuyền thì gió liền yên lặng. Những người ở trong thuyền đến lạy Người mà rằng: “Thật, Thầy là Con Thiên Chúa!”\r{Khi đã sang qua biển hồ, các ngài lên bộ và ghé vào Ghênêsarét. Nhận ra Ngài, dân địa phương liền loan tin đi khắp cả vùng xung quanh, và người ta đem đến cho Ngài hết mọi kẻ ốm đau. Họ nài xin Ngài cho họ rờ đến tua áo choàng của Ngài thôi, và ai đã rờ đến thì đều được chữa lành}.","end":"Ðó là lời Chúa"}},
+        "5183": {"firstReading":{"excerpt":"(Năm I) Ds 13, 1-3a. 26-14, 1. 26-29. 34-35","info":"“Ðất ngon lành họ đã không thèm” (Tv 77, 24)","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, Chúa phán cùng Môsê (ở trong hoang địa Pharan) rằng: “Ngươi hãy sai đàn ông, mỗi chi tộc một người (thuộc hàng vương công trong chúng), đi xem đất Canaan mà Ta sẽ ban cho con cái Israel”.\rSau bốn mươi ngày, những người dò thám đất đi khắp miền, đoạn trở về.\r{Họ đi gặp Môsê, Aaron và toàn thể cộng đồng con cái Israel ở sa mạc Pharan, tại Cađê. Và họ đã báo cáo với các ông và toàn thể cộng đồng, và cho người ta thấy thổ sản đất ấy. Họ đã tường thuật và nói: “Chúng tôi đã vào đất, nơi các ông sai chúng tôi đến, và thật là đất chảy tràn sữa và mật, và đây là thổ sản đất ấy. Hiềm một nỗi là dân cư trong xứ hùng cường! Thành trì kiên cố (và) lớn lắm, và chúng tôi đã thấy ở đó cả những con cháu Anaq. Có Amalec ở vùng Namsa; có dân Hit-tit, Giơbusi và Amori ở trên núi; còn dân Canaan thì ở gần biển và bờ sông Giođan”.\rBấy giờ Caleb truyền cho dân nín bặt trước Môsê. Ông nói: “Ta cứ lên chiếm đất ấy, vì ta sẽ thắng nổi nó!” Những người cùng lên với ông đáp lại: “Ta không thể lên đánh dân ấy, vì nó mạnh hơn ta”. Và họ buông lời chê bai giữa con cái Israel về đất họ đã dò thám, họ nói: “Ðất chúng tôi đã băng qua để dò thám là đất làm tiêu diệt cả những người ở trên ấy; dân chúng tôi đã thấy trong xứ toàn là những người vóc dạng. Chúng tôi đã thấy ở đó những người khổng lồ (con cháu của Anaq thuộc hạng người khổng lồ). Quay nhìn lại mình, thật chúng tôi chỉ như những con châu chấu, và trước mắt họ, chúng tôi chỉ như thế đó”.\rVà toàn thể cộng đồng kêu la; họ lên tiếng}, và đêm ấy toàn dân la lối khóc lóc. (Họ trách móc Môsê và Aaron, và nói rằng: “(...) Phải chi chúng tôi chết quách ở trong sa mạc này!”).\rChúa phán cùng Môsê và Aaron rằng: “Dân bạc ác này kêu trách Ta cho đến bao giờ? Ta đã nghe tiếng kêu trách của con cái Israel. Ngươi hãy nói với chúng rằng: Chúa phán: Ta hằng sống, như các ngươi đã nói, Ta đã nghe, nên Ta sẽ làm cho các ngươi như vậy. Xác chết của các ngươi sẽ nằm trên rừng vắng này. Tất cả các ngươi, tính từ hai mươi tuổi trở lên, đều đã kêu trách Ta. Các ngươi đã xem thấy đất, trong bốn mươi ngày, (thì) một năm kể thay cho một ngày; các ngươi mang lấy cái khổ của sự gian ác các ngươi, và sẽ biết sự thù ghét của Ta: vì Ta đã phán thế nào, thì Ta sẽ làm cho dân bạc ác này dấy lên chống lại Ta như vậy: nó sẽ hao mòn và chết trên rừng vắng này”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 6-7a. 13-14. 21-22. 23","response":"Ðáp: Lạy Chúa, xin nhớ đến chúng con","verses":["Xướng: Chúng con đã phạm tội cũng như tổ phụ chúng con, chúng con đã làm điều gian ác và ăn ở bất nhân. Tổ phụ chúng con khi còn ở bên Ai-cập, đã không suy xét những việc lạ lùng của Chúa.","Xướng: Nhưng họ đã mau quên công việc của Chúa khi gia ân huệ cho dân Ngài, họ không tin cậy vào định kế của Ngài. Họ chiều theo dục vọng ở nơi hoang địa, và thử thách Thiên Chúa trong cõi cô liêu.","Xướng: Họ đã quên Thiên Chúa là Ðấng cứu độ mình, Ðấng đã làm những điều trọng đại bên Ai-cập, Ðấng đã làm những điều kỳ diệu trên lãnh thổ họ Cam, và những điều kinh ngạc nơi Biển Ðỏ.","Xướng: Chúa đã nghĩ tới chuyện tiêu diệt họ cho rồi, nếu như Môsê là Người Chúa chọn, không đứng ra cầu khẩn với Người, để Người nguôi giận và đừng tiêu diệt họ."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 15, 21-28","info":"“Này bà, bà có lòng mạnh tin”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, ra khỏi đó, Chúa Giê-su lui về miền Tyrô và Siđon, thì liền có một bà quê ở Ca-na-an từ xứ ấy đến mà kêu cùng Người rằng: “Lạy Ngài là con Vua Ðavít, xin thương xót tôi: con gái tôi bị quỷ ám khốn cực lắm”.\rNhưng Người không đáp lại một lời nào. Các môn đệ đến gần Người mà rằng: “Xin Thầy thương để bà ấy về đi, vì bà cứ theo chúng ta mà kêu mãi”. Người trả lời: “Thầy chỉ được sai đến cùng chiên lạc nhà Israel”.\rNhưng bà kia đến lạy Người mà nói: “Lạy Ngài, xin cứu giúp tôi”. Người đáp: “Không nên lấy bánh của con cái mà vứt cho chó”. Bà ấy đáp lại: “Vâng, lạy Ngài, vì chó con cũng được ăn những mảnh vụn từ bàn của chủ rơi xuống”.\rBấy giờ, Chúa Giê-su trả lời cùng bà ấy rằng: “Này bà, bà có lòng mạnh tin. Bà muốn sao thì được vậy”. Và ngay lúc đó, con gái bà đã được lành.","end":"Ðó là lời Chúa"}},
+        "5184": {"firstReading":{"excerpt":"(Năm I) Ds 20, 1-13","info":"“Xin Chúa mở kho tàng châu báu của Chúa là mạch nước hằng sống”.","title":"Trích sách Dân Số.","content":"Trong những ngày ấy, vào tháng Giêng, con cái Israel và toàn thể cộng đồng đến rừng Sim. Dân chúng định cư ở Cađê. Tại đây bà Maria đã qua đời và được chôn cất.\rVà khi dân chúng thiếu nước, họ toa rập nhau chống đối Môsê và Aaron. Họ công kích Môsê rằng: “Phải chi chúng tôi chết đi như anh em chúng tôi đã chết trước mặt Chúa. Tại sao các ông dẫn cộng đoàn của Chúa vào rừng vắng này, để chúng tôi lẫn súc vật chúng tôi phải chết? Tại sao bắt chúng tôi bỏ Ai-cập mà dẫn lên chỗ rất xấu xa này, chẳng cày cấy được, chẳng sinh quả vả, nho lựu, hơn nữa không có nước mà uống”.\rMôsê và Aaron lánh mặt khỏi dân chúng và vào nhà xếp giao ước. Hai ông sấp mình xuống đất, kêu van cùng Chúa rằng: “Lạy Chúa là Thiên Chúa, xin nghe tiếng dân này kêu van, và xin mở cho họ kho tàng châu báu của Chúa là mạch nước hằng sống, để họ uống no đầy mà hết kêu trách”.\rSự vinh quang của Chúa hiện ra trên họ. Và Chúa phán cùng Môsê rằng: “Hãy cầm lấy gậy và tập họp dân chúng lại, ngươi và Aaron khiến hòn đá, trước mắt họ, và đá liền chảy nước. Khi ngươi làm cho nước từ hòn đá này chảy ra, thì toàn dân và súc vật sẽ được uống”.\rMôsê cầm lấy cây gậy để trước mặt Thiên Chúa như Chúa đã truyền dạy ông. Khi tập họp cộng đồng đến trước hòn đá, ông bảo họ rằng: “Hỡi bọn người phản loạn và cứng lòng, hãy nghe đây. Chúng tôi có thể làm cho nước từ hòn đá này chảy ra cho các ngươi được không?” Môsê giơ tay cầm gậy đánh vào hòn đá hai lần: nước chảy ra tràn trề. Dân chúng và súc vật được uống.\rBấy giờ Chúa phán cùng Môsê và Aaron rằng: “Vì các ngươi không tin Ta mà tuyên xưng thánh danh Ta trước mặt con cái Israel, thì các ngươi không được đem dân này vào Ðất Ta sẽ ban cho chúng nó”.\rÐây là nước mâu thuẫn nơi con cái Israel trách Chúa, và Người dùng nước để tỏ ra thánh danh Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 6-7. 8-9","response":"Ðáp: Ước chi hôm nay các bạn nghe tiếng Người: các ngươi đừng cứng lòng (c. 8a).","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của ta! Hãy ra trước thiên nhan với lời ca ngợi, chúng ta hãy xướng ca để hoan hô Người.","Xướng: Hãy tiến lên, cúc cung bái và sụp lạy, hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người.","Xướng: Ước chi hôm nay các bạn nghe tiếng Người: “Ðừng cứng lòng như ở Mêriba, như hôm ở Massa, trong khu rừng vắng, nơi mà cha ông các ngươi đã thử thách Ta, họ đã thử thách Ta mặc dầu đã thấy công cuộc của Ta”."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Anh là Phê-rô nghĩa là Tảng Đá, trên tảng đà này, Thầy sẽ xây Hội Thánh của Thầy, và quyền lực tử thần sẽ không thắng nổi. – Alleluia"},"gospel":{"excerpt":"Mt 16, 13-23","info":"“Con là Ðá, Thầy sẽ ban cho con chìa khoá nước trời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su đến địa hạt thành Cêsarêa Philipphê, và hỏi các môn đệ rằng: “Người ta bảo Con Người là ai?” Các ông thưa: “Người thì bảo là Gio-an Tẩy Giả, kẻ thì bảo là Ê-li-a, kẻ khác lại bảo là Giê-rê-mi-a hay một tiên tri nào đó”. Chúa Giêsu nói với các ông: “Phần các con, các con bảo Thầy là ai?” Si-mon Phê-rô thưa rằng: “Thầy là Ðức Ki-tô, Con Thiên Chúa hằng sống”. Chúa Giê-su trả lời rằng: “Hỡi Si-mon con ông Giô-na, con có phúc, vì chẳng phải xác thịt hay máu huyết mạc khải cho con, nhưng là Cha Thầy, Ðấng ngự trên trời. Vậy Thầy bảo cho con biết: Con là Ðá, trên đá này Thầy sẽ xây Hội Thánh của Thầy, và cửa địa ngục sẽ không thắng được. Thầy sẽ trao cho con chìa khoá Nước trời. Sự gì con cầm buộc dưới đất, trên trời cũng cầm buộc; và sự gì con cởi mở dưới đất, trên trời cũng cởi mở”. Bấy giờ Người truyền cho các môn đệ đừng nói với ai rằng Người là Ðức Ki-tô.\rKể từ đó, Chúa Giê-su bắt đầu tỏ cho các môn đệ thấy: Người sẽ phải đi Giê-ru-sa-lem, phải chịu nhiều đau khổ bởi các kỳ lão, luật sĩ và thượng tế, phải bị giết, và ngày thứ ba thì sống lại. Phê-rô kéo Người lại mà can gián Người rằng: “Lạy Thầy, xin Chúa giúp Thầy khỏi điều đó. Thầy chẳng phải như vậy đâu”. Nhưng Người quay lại bảo Phê-rô rằng: “Hỡi Sa-tan, hãy lui ra đàng sau Thầy: con làm cho Thầy vấp phạm, vì con chẳng hiểu biết những sự thuộc về Thiên Chúa, mà chỉ hiểu biết những sự thuộc về loài người”.","end":"Ðó là lời Chúa"}},
+        "5185": {"firstReading":{"excerpt":"(Năm I) Ðnl 4, 32-40","info":"“Người đã yêu thương cha ông các ngươi và sau đó đã tuyển chọn con cháu các ông ấy”.","title":"Trích sách Ðệ Nhị Luật.","content":"Ông Môsê nói cùng dân chúng rằng: “Các ngươi hãy tìm hiểu những thời xa xưa trước kia, từ khi Thiên Chúa tác thành con người trên mặt đất, từ chân trời này đến chân trời nọ, có bao giờ xảy ra một việc vĩ đại như thế này chăng? Có bao giờ người ta đã nghe thấy những việc lạ lùng như vậy chăng? Có bao giờ một dân tộc đã nghe lời Thiên Chúa từ trong lửa phán ra như các ngươi đã nghe mà còn sống chăng? Có bao giờ Chúa đã dùng sự thử thách, dấu chỉ, điềm lạ, chiến tranh, cánh tay quyền năng mạnh mẽ và những thị kiến khủng khiếp, để chọn lấy cho mình một dân tộc giữa các dân tộc khác, như Chúa là Thiên Chúa các ngươi đã làm tất cả các điều đó trước mặt các ngươi trong đất Ai-cập chăng? Tất cả những điều đó, Người chỉ cho các ngươi xem thấy, để các ngươi biết rằng Chúa là Thiên Chúa thật, và ngoài Người, không có chúa nào khác. Từ trên trời, Người cho các ngươi nghe tiếng Người; ở dưới đất, Người cho các ngươi thấy đám lửa to lớn của Người; và từ giữa đám lửa ấy, các ngươi đã nghe lời Người, vì Người đã yêu thương cha ông các ngươi và sau đó đã tuyển chọn con cháu các ông ấy. Người đã dẫn các ngươi ra khỏi Ai-cập khi Người dùng quyền năng cao cả mà đi trước mặt các ngươi, để tiêu diệt trước mặt các ngươi những dân tộc lớn mạnh hơn các ngươi, và đem các ngươi vào trong xứ của họ và ban đất của họ cho các ngươi làm gia nghiệp, như các ngươi vẫn thấy hiện nay. Vậy hôm nay các ngươi hãy nhận biết và suy niệm trong lòng rằng: Trên trời dưới đất, chính Chúa là Thiên Chúa, chứ không có Chúa nào khác. Hãy tuân giữ các lề luật và giới răn mà hôm nay chính ta truyền dạy cho các ngươi, hầu cho các ngươi và con cháu mai sau được hạnh phúc, và tồn tại trên phần đất mà Chúa là Thiên Chúa sẽ ban cho các ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 76, 12-13. 14-15. 16 và 21","response":"Ðáp: Tôi hồi tưởng lại những việc làm của Chúa","verses":["Xướng: Tôi hồi tưởng lại những việc làm của Chúa; tôi cũng nhớ những điều kỳ diệu thuở trước của Ngài. Tôi nghiền ngẫm về mọi việc làm của Chúa, và tôi suy tư về những đại sự của Ngài.","Xướng: Ôi Thiên Chúa, đường lối của Ngài thánh thiện; có thần minh nào vĩ đại như Thiên Chúa chúng tôi? Ngài là Thiên Chúa làm nên những điều kỳ diệu, làm sáng tỏ quyền năng ở giữa chư dân.","Xướng: Ngài đã ra tay thục mạng dân Ngài, thục mạng con cháu của Giacóp và Giuse. Nhờ tay Môi-sen và Aaron, Chúa chăn dắt dân Ngài như thể đoàn chiên."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Phúc thay ai bị bách hại vì sống công chính, vị Nước Trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mt 16, 24-28","info":"“Người ta sẽ lấy gì mà đổi được sự sống mình“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu ai muốn theo Thầy, thì hãy từ bỏ mình đi, và vác thập giá mình mà theo Thầy. Vì chưng, ai muốn cứu mạng sống mình thì sẽ mất; còn ai đành mất mạng sống mình vì Ta, thì sẽ được sự sống. Nếu ai được lợi cả thế gian mà thiệt hại sự sống mình, thì được ích gì? Hoặc người ta sẽ lấy gì mà đổi được sự sống mình?\r“Bởi vì Con Người sẽ đến trong vinh quang của Cha Người, cùng với các thiên thần của Người, và bấy giờ, Người sẽ trả công cho mỗi người tuỳ theo việc họ làm. Thật, Thầy bảo các con: trong những kẻ đang đứng đây, có người sẽ không nếm sự chết trước khi xem thấy Con Người đến trong Nước Người”.","end":"Ðó là lời Chúa"}},
+        "5186": {"firstReading":{"excerpt":"(Năm I) Ðnl 6, 4-13","info":"“Hãy yêu mến Chúa ngươi hết lòng ngươi”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói với dân chúng rằng: “Hỡi Israel, hãy nghe đây. Chúa là Thiên Chúa chúng ta, là Chúa độc nhất. Hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn và hết sức ngươi. Những lời tôi truyền cho ngươi hôm nay, phải ghi tạc vào lòng. Hãy kể lại những lời ấy cho con cái ngươi, hãy suy ngắm những lời ấy khi ngồi ở nhà cũng như khi đi ngoài đường, khi nằm ngủ cũng như khi chỗi dậy. Ngươi hãy buộc những lời đó vào bàn tay như dấu hiệu, lên trán như một vòng khăn, hãy viết lên cột và cửa nhà ngươi.\r“Khi Chúa là Thiên Chúa ngươi dẫn ngươi đến xứ Người đã thề với các tổ phụ ngươi là Abraham, Isaac và Giacóp, và ban cho ngươi những thành phố to lớn và phồn thịnh mà ngươi không xây cất, những ngôi nhà đầy mọi của cải mà ngươi không làm ra, những giếng nước mà ngươi không đào, vườn nho và vườn cây ôliu mà ngươi không trồng, ngươi sẽ được no nê: ngươi hãy nhớ, đừng quên Chúa, Ðấng đã dẫn ngươi ra khỏi đất Ai-cập và khỏi nhà nô lệ. Ngươi hãy kính sợ Chúa là Thiên Chúa ngươi, hãy làm tôi một mình Người và lấy danh Người mà thề”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 17, 2-3a. 3bc-4. 47 và 51ab","response":"Ðáp: Lạy Chúa là dũng lực con, con yêu mến Chúa","verses":["Xướng: Lạy Chúa là dũng lực con, con yêu mến Chúa, lạy Chúa là Ðá Tảng, chiến lũy, và cứu tinh.","Xướng: Lạy Chúa là Thiên Chúa, là sơn động chỗ con nương mình, là khiên thuẫn, là uy quyền cứu độ, là sức hộ phù con. Con xướng ca khen ngợi cầu cứu Chúa, và con sẽ được cứu thoát khỏi tay quân thù.","Xướng: Chúa hằng sống, chúc tụng Ðá Tảng của con, tán tụng Thiên Chúa là Ðấng cứu độ con. Ngài đã ban cho vương nhi Ngài đại thắng, đã tỏ lòng từ bi với Ðấng được xức dầu của Ngài."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 17, 14-19","info":"“Nếu các con có lòng tin, thì chẳng có gì các con không làm được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có một người đến gần, quỳ gối trước mặt Chúa Giêsu mà nói rằng: “Lạy Ngài, xin thương xót con trai tôi vì nó mắc chứng kinh phong và rất trầm trọng: nó thường ngã vào lửa và lắm lúc nó ngã xuống nước. Tôi đã đem nó đến cùng môn đệ Ngài, nhưng các ông không thể chữa nó được”. Chúa Giêsu đáp: “Ôi thế hệ cứng lòng tin và hư hỏng! Ta phải ở với các ngươi đến bao giờ? Ta còn phải chịu đựng các ngươi đến bao giờ nữa? Hãy đem nó lại đây cho Ta”. Chúa Giêsu quát mắng quỷ và quỷ liền ra khỏi đứa bé. Và nó được lành ngay trong lúc ấy. Bấy giờ các môn đệ đến hỏi riêng Chúa Giêsu rằng: “Tại sao chúng con không thể trừ quỷ ấy được?” Chúa Giêsu bảo các ông rằng: “Vì các con yếu lòng tin! Thầy bảo thật các con: Nếu các con có lòng tin lớn bằng hạt cải, thì các con có khiến núi này rằng: ‘Hãy rời khỏi đây mà sang nơi kia’, thì nó liền đi sang, và chẳng có gì các con không làm được”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year1-ordinary-4", {
+    "ORDINARY_Y1": {
+        "5191": {"firstReading":{"excerpt":"(Năm I) Ðnl 10, 12-22","info":"“Các ngươi hãy cắt bì lòng dạ các ngươi. Hãy yêu thương khách trọ, vì chính các ngươi cũng đã là khách trọ”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê nói với dân chúng rằng: “Giờ đây, hỡi Israel, Chúa là Thiên Chúa các ngươi, đòi hỏi các ngươi điều gì, nếu không phải là kính sợ Chúa là Thiên Chúa các ngươi, đi theo mọi đường lối của Người, yêu mến Người, làm tôi Chúa là Thiên Chúa các ngươi hết lòng và hết linh hồn các ngươi, tuân giữ các giới răn và nghi lễ của Thiên Chúa mà hôm nay tôi truyền cho các ngươi để các ngươi được hạnh phúc.\r“Hãy xem trời và các tầng trời, trái đất và mọi sự trên mặt đất đều thuộc về Chúa là Thiên Chúa các ngươi. Nhưng Chúa chỉ quyến luyến cha ông các ngươi, đã yêu thương các ông ấy, và sau đó, trong mọi dân tộc, Người đã chọn dòng dõi kế tiếp các ông ấy là chính các ngươi như ngày hôm nay.\r“Vậy các ngươi hãy cắt bì lòng dạ các ngươi, và đừng cứng cổ nữa, vì Chúa là Thiên Chúa các ngươi, là Thiên Chúa trên hết các chúa, là Chủ Tể trên hết các chủ tể, là Chúa cao cả, quyền năng và đáng khiếp sợ, là Ðấng không vị nể ai, và không để cho lễ vật hối lộ; Người giải oan cho cô nhi quả phụ, Người yêu mến người khách trọ và cho họ cơm ăn áo mặc. Vậy các ngươi hãy yêu thương khách trọ, vì các ngươi cũng đã là khách trọ trong đất Ai-cập.\r“Các ngươi phải kính sợ Chúa là Thiên Chúa các ngươi, và phụng sự một mình Người, phải trìu mến Người và lấy danh Người mà thề. Chính Người là Ðấng các ngươi phải ca tụng và là Chúa các ngươi. Người đã thực hiện cho các ngươi những điều trọng đại và khủng khiếp, mà mắt các ngươi đã xem thấy. Cha ông các ngươi chỉ có bảy mươi khi xuống ở Ai-cập, và nay Chúa, là Thiên Chúa các ngươi, đã làm cho các ngươi đông như sao trên trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20","response":"Ðáp: Giêrusalem hỡi, hãy ngợi khen Chúa! (c. 12a)","verses":["Xướng: Giêrusalem hỡi, hãy ngợi khen Chúa, hãy ngợi khen Thiên Chúa của ngươi, hỡi Sion, vì Người giữ chặt các then cửa ngươi, Người chúc phúc cho con cái ngươi trong thành nội.","Xướng: Người giữ cho bờ cõi ngươi được bình an, Người dưỡng nuôi ngươi bằng tinh hoa của lúa mì. Người đã sai lời Người xuống cõi trần ai, và lời Người lanh chai chạy rảo.","Xướng: Người đã loan truyền lời Người cho Giacóp, những thánh chỉ và huấn lệnh Người cho Israel. Người đã không làm cho dân tộc nào như thế, Người đã không công bố cho họ các huấn lệnh của Người."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mt 17, 21-26","info":"“Họ sẽ giết Người, nhưng Người sẽ sống lại. Con cái thì được miễn thuế”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ và Chúa Giêsu còn đang ở Galilêa, thì Chúa Giêsu bảo các ông rằng: “Con Người sắp bị nộp vào tay người đời, họ sẽ giết người, nhưng ngày thứ ba, Người sẽ sống lại”. Các môn đệ rất đỗi buồn phiền.\rKhi các ngài đến Capharnaum, thì những người thu thế đền thờ đến gặp Phêrô và hỏi rằng: “Thầy các ông không nộp thuế “đền thờ’ sao?” Ông nói: “Có chớ”.\rKhi ông về đến nhà, Chúa Giêsu hỏi đón trước rằng: “Simon, con nghĩ sao? Vua chúa trần gian thu thuế má hạng người nào? Ðòi con cái mình hay người ngoài?” Ông thưa rằng: “Ðòi người ngoài”. Chúa Giêsu bảo ông rằng: “Vậy thì con cái được miễn. Nhưng để chúng ta không làm cho họ vấp phạm, con hãy ra biển thả câu: con cá nào câu lên trước hết thì bắt lấy, mở miệng nó ra, sẽ thấy một đồng tiền, con hãy lấy tiền đó mà nộp cho họ, trả phần Thầy và phần con”.","end":"Ðó là lời Chúa"}},
+        "5192": {"firstReading":{"excerpt":"(Năm I) Ðnl 31, 1-8","info":"“Giosuê, anh hãy dũng mạnh và can đảm: anh sẽ đem dân vào Ðất Nước”.","title":"Trích sách Ðệ Nhị Luật.","content":"Môsê đến nói với toàn dân Israel tất cả những lời này: “Tôi hôm nay đã một trăm hai mươi tuổi. Tôi không còn đi đứng được nữa, nhất là khi Chúa đã phán cùng tôi rằng: “Ngươi sẽ không qua sông Giođan này”. Chúa là Thiên Chúa của ngươi sẽ qua trước ngươi, chính Người sẽ tiêu diệt các dân tộc ấy trước mặt ngươi và ngươi sẽ thắng chúng. Chính Giosuê sẽ qua trước ngươi như Chúa đã phán. Chúa sẽ đối xử với chúng như đã đối xử với Sêhon và Og là vua người Amorê và với đất nước các vua ấy. Người đã tiêu diệt chúng. Vậy khi Chúa nộp chúng cho các ngươi, các ngươi sẽ đối xử với chúng như tôi đã truyền cho các ngươi. Hãy dũng mạnh và kiên trì, đừng sợ, đừng kinh hãi trước mặt chúng. Vì chính Chúa là Thiên Chúa các ngươi dẫn đường cho các ngươi, Người sẽ không bỏ rơi và lìa khỏi các ngươi”.\rÔng Môsê gọi ông Giosuê đến và nói với ông trước mặt toàn dân Israel rằng: “Hãy dũng mạnh và can đảm: vì anh sẽ đem dân này vào Ðất Nước Chúa đã thề hứa sẽ ban cho cha ông chúng; chính anh sẽ bắt thăm phân chia phần đất ấy. Chúa là Ðấng dẫn đàng cho anh, chính Người sẽ ở với anh. Người sẽ không bỏ rơi và lìa khỏi anh. Anh đừng sợ và đừng kinh hãi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðnl 32, 3-4a. 7. 8. 9 và 12","response":"Ðáp: Chúa lấy dân Người làm phần riêng mình (c. 9a).","verses":["Xướng: Tôi sẽ kêu cầu thánh danh Chúa. Các ngươi hãy mang sự uy linh lại cho Chúa chúng ta. Các công trình của Thiên Chúa đều hoàn hảo, và mọi đường lối của Người đều chính trực.","Xướng: Ngươi hãy nhớ lại những ngày xa xưa, hãy tưởng nghĩ lại mỗi thế hệ: Hãy hỏi cha ngươi, và người sẽ loan báo cho ngươi; hãy hỏi tổ phụ ngươi, và các ngài sẽ chỉ dạy ngươi.","Xướng: Khi Ðấng Tối Cao phân chia các dân tộc, khi Người tách biệt con cái của Ađam, Người đã thiết lập ranh giới của các nước, chiếu theo số con cái Israel.","Xướng: Nhưng Chúa lấy dân Người làm phần riêng mình, chọn Giacóp làm dây đo cơ nghiệp của Người. Chỉ có một Chúa là Ðấng dẫn đưa nó, và chẳng có Chúa nào khác ở với nó."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-5. 10. 12-14","info":"“Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy các môn đệ đến bên Chúa Giêsu mà hỏi: “Chớ thì ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời.\r“Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Ta, Ðấng ngự trên trời.\r“Các con nghĩ sao? Nếu ai có một trăm con chiên mà lạc mất một con, thì người đó lại không bỏ chín mươi chín con trên núi, để đi tìm con chiên lạc sao? Nếu người đó tìm được, Thầy bảo thật các con, người đó sẽ vui mừng vì con chiên đó, hơn chín mươi chín con chiên không thất lạc. Cũng vậy, Cha các con trên trời không muốn để một trong những kẻ bé mọn này phải hư mất”.","end":"Ðó là lời Chúa"}},
+        "5193": {"firstReading":{"excerpt":"Ðnl 34, 1-12","info":"“Môsê qua đời tại đó như Chúa đã truyền dạy, và không còn tiên tri nào như ông đứng lên nữa”.","title":"Trích sách Ðệ Nhị Luật.","content":"Trong những ngày ấy, ông Môsê từ đồng bằng Moab đi lên núi Nêbô, ngọn núi Phasga, ngay trước mặt thành Giêricô. Và Chúa cho ông thấy khắp xứ Galaad cho đến Ðan, cả miền Nephtali, đất Ephraim và Manassê, cả xứ Giuđa cho đến Biển Tây, phần đất phía nam vùng đồng bằng rộng lớn Giêricô, là thành cây chà là, cho đến Sêgor. Chúa phán cùng ông rằng: “Ðây là Ðất Ta đã thề hứa với Abraham, Isaac và Giacóp bằng những lời này: “Ta sẽ ban nó cho con cháu ngươi”. Ta đã cho ngươi thấy tận mắt xứ ấy, nhưng ngươi sẽ không được qua đến đó”.\rMôsê, tôi tớ của Chúa, đã qua đời tại đó, trên đất Moab, như Chúa đã truyền dạy. Ông được chôn cất trong thung lũng tại xứ Moab, ngay trước mặt thành Phegor. Mãi đến nay, không ai biết ngôi mộ của ông. Khi Môsê qua đời, ông được một trăm hai mươi tuổi: mắt vẫn chưa mờ và răng vẫn chưa lung lay. Con cái Israel thương khóc ông suốt ba mươi ngày trong đồng bằng Moab. Ngày thọ tang Môsê chấm dứt, thì Giosuê, con ông Nun, được đầy tinh thần khôn ngoan, vì Môsê đã đặt tay trên ông. Con cái Israel vâng lời ông, thi hành mệnh lệnh Chúa đã truyền cho Môsê.\rVề sau, trong Israel không còn tiên tri nào như Môsê đứng lên nữa: ông là người Thiên Chúa từng quen mặt. Biết bao dấu lạ, kỳ công Chúa đã sai ông làm trong đất Ai-cập, chống lại Pharaon cùng tất cả triều thần và xứ sở vua ấy. Môsê đã tác oai và làm những việc kỳ diệu vĩ đại trước mắt toàn thể Israel.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 65, 1-3a. 5 và 8. 16-17","response":"Ðáp: Chúc tụng Chúa là Ðấng đã ban cho linh hồn chúng tôi được sống","verses":["Xướng: Toàn thể đất nước, hãy reo mừng Thiên Chúa, hãy ca ngợi vinh quang danh Người; hãy kính dâng Người lời khen ngợi hiển vinh. Hãy thưa cùng Thiên Chúa: kinh ngạc thay sự nghiệp Chúa.","Xướng: Hãy tới và nhìn coi sự nghiệp của Thiên Chúa. Người thi thố những chuyện kinh ngạc giữa con cái người ta! Hỡi chư dân, hãy chúc tụng Thiên Chúa chúng tôi, và loan truyền lời ca khen Người.","Xướng: Phàm ai tôn sợ Chúa, hãy đến, hãy nghe tôi kể lại, Chúa đã làm cho linh hồn tôi những điều trọng đại biết bao. Tôi đã mở miệng kêu lên chính Chúa, và lưỡi tôi đã ngợi khen Người."]},"alleluia":{"verse":"Gc 1, 21","content":"alleluia! – Anh em hãy khiêm nhu nhận lãnh lời giao ước trong lòng, lời đó có thể cứu thoát linh hồn anh em. – Alleluia."},"gospel":{"excerpt":"Mt 18, 15-20","info":"“Nếu nó nghe ngươi, thì ngươi đã lợi được người anh em”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu anh em con lỗi phạm, hãy đi sửa dạy nó, riêng con và nó thôi. Nếu nó nghe con, thì con đã lợi được người anh em. Nếu nó không nghe lời con, hãy đem theo một hoặc hai người nữa, để mọi việc được giải quyết nhờ lời hai hoặc ba nhân chứng. Nếu nó không nghe họ, hãy trình với cộng đoàn. Và nếu nó cũng không nghe cộng đoàn, con hãy kể nó như người ngoại giáo và như người thu thuế.\r“Thầy bảo thật các con, những gì các con cầm buộc dưới đất thì trên trời cũng cầm buộc, và những gì các con tháo gỡ dưới đất thì trên trời cũng tháo gỡ.\r“Thầy cũng bảo thật các con, nếu hai người trong các con, ở dưới đất, mà hiệp lời cầu xin bất cứ điều gì, thì Cha Thầy, Ðấng ngự trên trời, sẽ ban cho họ điều đó. Vì ở đâu có hai hoặc ba người tụ họp nhân danh Thầy, thì Thầy ở giữa những người ấy”.","end":"Ðó là lời Chúa"}},
+        "5194": {"firstReading":{"excerpt":"(Năm I) Gs 3, 7-10a. 11. 13-17","info":"“Hòm giao ước của Thiên Chúa sẽ dẫn các ngươi qua sông Giođan”.","title":"Trích sách ông Giosuê.","content":"Trong những ngày ấy, Chúa phán cùng Giosuê rằng: “Hôm nay Ta sẽ bắt đầu tôn ngươi lên trước mặt toàn thể Israel, để chúng biết rằng: Ta đã ở với Môsê thế nào, thì cũng sẽ ở với ngươi như vậy. Phần ngươi, ngươi hãy truyền lệnh này cho các thầy tư tế mang hòm giao ước rằng: “Khi các thầy đã đến sông Giođan, các thầy hãy đứng giữa lòng sông”.\rRồi Giosuê nói với con cái Israel rằng: “Hãy tiến lại đây mà nghe lời Chúa là Thiên Chúa các ngươi”. Và Giosuê nói: “Cứ dấu này mà các ngươi nhận biết Thiên Chúa hằng sống ở giữa các ngươi. Ðó là hòm giao ước của Thiên Chúa, chủ tể địa cầu, sẽ dẫn các ngươi qua sông Giođan. Khi các thầy tư tế mang hòm giao ước của Thiên Chúa, chủ tể địa cầu, vừa đặt chân trong nước sông Giođan, thì nước phía dưới tiếp tục chảy đi và khô cạn, còn nước phía trên thì dừng lại thành một khối”.\rVậy, khi dân nhổ trại để qua sông Giođan, thì các thầy tư tế mang hòm giao ước đi trước dân. Vừa khi những người mang hòm giao ước đến sông Giođan và chân họ đụng nước, (suốt mùa gặt, sông Giođan tràn lan dọc theo hai bên bờ) thì nước từ nguồn chảy xuống dừng lại một nơi, từ xa trông như dãy núi kéo dài, từ thành Ađam đến luỹ Sarthan; còn phần nước phía dưới chảy vào biển Araba tức là Biển Mặn, thì chảy cạn hết. Dân vượt qua nhắm thẳng thành Giêricô. Các thầy tư tế mang hòm giao ước của Thiên Chúa đứng yên trên đất khô, giữa sông Giođan, và dân đi qua lòng sông khô cạn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 113A, 1-2. 3-4. 5-6","response":"Ðáp: Alleluia.","verses":["Xướng: Hồi Israel ra khỏi Ai-cập, nhà Giacóp thoát xa dân mọi, Giuđa đã trở nên cung thánh, Israel biến thành vương quốc của Người. – Ðáp.","Xướng: Biển khơi xem thấy và chạy trốn, Giođan thì bước lại đàng sau. Núi non nhảy chồm lên như bầy dê đực, các ngọn đồi như đàn chiên con. – Đáp"]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi giới răn Chúa được lập ra cho tới muôn ngàn đời. – Alleluia."},"gospel":{"excerpt":"Mt 18, 21 – 19, 1","info":"“Thầy không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Phêrô đến thưa cùng Chúa Giêsu rằng: “Lạy Thầy, khi anh em xúc phạm đến con, con phải tha thứ cho họ mấy lần? Có phải đến bảy lần không?” Chúa Giêsu đáp: “Thầy không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy.\r“Về vấn đề này, thì Nước Trời cũng giống như ông vua kia muốn tính sổ với các đầy tớ. Trước hết người ta dẫn đến vua một người mắc nợ mười ngàn nén bạc. Người này không có gì trả, nên chủ ra lệnh bán y, vợ con và tất cả tài sản của y để trả hết nợ. Người đầy tớ liền sấp mình dưới chân chủ và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn, và tôi sẽ trả lại cho ngài tất cả”. Người chủ động lòng thương, trả tự do và tha nợ cho y.\r“Khi ra về, tên đầy tớ gặp một người bạn mắc nợ y một trăm bạc: Y tóm lấy, bóp cổ mà nói rằng: “Hãy trả nợ cho ta”. Bấy giờ người bạn sấp mình dưới chân và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn, tôi sẽ trả hết nợ cho anh”. Y không nghe, bắt người bạn tống giam vào ngục, cho đến khi trả nợ xong. Các bạn y chứng kiến cảnh tượng đó, rất khổ tâm, họ liền đi thuật với chủ tất cả câu truyện. Bấy giờ chủ đòi y đến và bảo rằng: “Tên đầy tớ ác độc kia, ta đã tha hết nợ cho ngươi, vì ngươi đã van xin ta; còn ngươi, sao ngươi không chịu thương bạn ngươi như ta đã thương ngươi?” Chủ nổi giận, trao y cho lý hình hành hạ, cho đến khi trả hết nợ.\r“Vậy, Cha Thầy trên trời cũng xử với các con đúng như thế, nếu mỗi người trong các con không hết lòng tha thứ cho anh em mình”.\rKhi Chúa Giêsu nói những lời đó xong, thì Người bỏ xứ Galilêa mà đến Giuđêa, bên kia sông Giođan.","end":"Ðó là lời Chúa"}},
+        "5195": {"firstReading":{"excerpt":"(Năm I) Gs 24, 1-13","info":"“Ta đã đem tổ phụ các ngươi từ Mêsôpôtamia về, đã dẫn các ngươi ra khỏi Ai-cập, đã đem các ngươi vào đất nước”.","title":"Trích sách ông Giosuê.","content":"Trong những ngày ấy, Giosuê triệu tập tất cả các chi tộc lại ở Sikem, rồi gọi các kỳ lão, các thủ lãnh gia tộc, quan án, sĩ quan đến, và họ đứng trước mặt Thiên Chúa. Giosuê liền nói với toàn dân như thế này:\rChúa là Thiên Chúa Israel phán rằng: Thuở xưa tổ tiên các ngươi là Tharê, cha của Abraham và Nacor, đã ở bên kia sông, và đã thờ các thần ngoại. Bấy giờ Ta đã đem Abraham, tổ phụ các ngươi, từ bên kia sông và đã dẫn đưa ông vào đất Canaan. Ta lại làm cho con cháu ông trở nên đông đúc, đã ban cho ông được Isaac. Ta lại ban cho Isaac được Giacóp và Êsau. Trong hai người này, Ta đã ban cho Êsau miền núi Sêir làm sản nghiệp. Còn Giacóp và con cái thì xuống Ai-cập.\rSau đó, Ta đã sai Môsê và Aaron, và trừng phạt Ai-cập bằng những phép lạ. Rồi Ta đã dẫn các ngươi và cha ông các ngươi ra khỏi Ai-cập, và các ngươi đã đi tới Biển. Người Ai-cập đuổi theo cha ông các ngươi với chiến xa binh mã cho đến Biển Ðỏ. Bấy giờ con cái Israel kêu cầu Chúa và Người đã khiến sự tối tăm ngăn giữa các ngươi và quân Ai-cập, và làm cho biển tràn ra mà vùi lấp chúng. Chính mắt các ngươi đã thấy tất cả những gì Ta đã làm ở Ai-cập, rồi các ngươi đã ở lâu trong hoang địa.\rSau đó, Ta đã đưa các ngươi vào xứ Amorê, bên kia sông Giođan. Chúng đã giao chiến với các ngươi và Ta đã trao chúng trong tay các ngươi. Các ngươi đã chiếm được đất đai của chúng, và Ta đã tiêu diệt chúng trước mặt các ngươi. Rồi Balac, con Sêphor, vua xứ Moab, dấy lên giao chiến với Israel. Vua ấy đã cho mời Balaam, con của Bêor, đến để chúc dữ các ngươi. Ta không muốn nghe Balaam. Nhưng trái lại Ta đã dùng nó chúc phúc cho các ngươi và Ta đã cứu các ngươi thoát khỏi bàn tay nó.\rSau đó, các ngươi đã qua sông Giođan và đến Giêricô, dân thành này, cũng như các người Amorê, Phêrêsê, Canaan, Hêthê, Gergêsê, Hêvê, Giêbusê, đã giao chiến với các ngươi. Nhưng Ta đã trao chúng trong tay các ngươi. Ta đã cho ong bò vẽ đi trước các ngươi, và Ta đuổi hai vua xứ Amorê ra khỏi các địa hạt của họ mà không cần nhờ đến cung kiếm của các ngươi. Ta đã ban cho các ngươi một vùng đất mà các ngươi không mất công đánh chiếm. Ta đã cho các ngươi được ở những thành mà các ngươi không phải xây cất, Ta đã cho các ngươi những vườn nho và vườn ôliu mà các ngươi không vun trồng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 135, 1-3. 16-18. 21-22 và 24","response":"Ðáp: Bởi đức từ bi Người muôn thuở. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy ca ngợi Chúa, vì Người hảo tâm, bởi đức từ bi Người muôn thuở. Hãy ca ngợi Thiên Chúa của chư thần, bởi đức từ bi Người muôn thuở. Chỉ mình Người làm những việc kỳ diệu vĩ đại, bởi đức từ bi Người muôn thuở. – Ðáp.","Xướng: Người đã dẫn đưa dân Người qua sa mạc, bởi đức từ bi Người muôn thuở. Người đã đánh dẹp các đại vương đế, bởi đức từ bi Người muôn thuở. Người đã giết các vua quyền thế, bởi đức từ bi Người muôn thuở. – Ðáp.","Xướng: Người đã ban đất chúng để làm gia sản, bởi đức từ bi Người muôn thuở. Làm gia sản của Israel tôi tớ Người, bởi đức từ bi Người muôn thuở. Người đã giải thoát chúng ta khỏi quân thù địch, bởi đức từ bi Người muôn thuở. – Ðáp."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật, tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia."},"gospel":{"excerpt":"Mt 19, 3-12","info":"“Vì lòng chai đá của các ngươi mà Môsê đã cho phép các ngươi rẫy vợ; nhưng từ ban đầu thì không có như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có những người biệt phái đến cùng Chúa Giêsu và hỏi thử Người rằng: “Có được phép rẫy vợ vì bất cứ lẽ gì không?” Người đáp: “Nào các ông đã chẳng đọc thấy rằng: Từ thuở ban đầu, Tạo Hoá đã dựng loài người có nam có nữ, và Người đã phán: Bởi thế nên người nam sẽ bỏ cha mẹ mà kết hợp với vợ mình, và cả hai sẽ nên một thân xác? Cho nên họ không còn là hai, nhưng là một thân xác. Vậy điều gì Thiên Chúa đã kết hợp, thì loài người không được phân ly”. Họ hỏi lại: “Vậy tại sao Môsê đã truyền cấp tờ ly hôn mà cho rẫy vợ?” Người đáp: “Vì lòng chai đá của các ông mà Môsê đã cho phép các ông rẫy vợ; nhưng từ ban đầu thì không có như vậy. Tôi bảo các ông rằng: Ai rẫy vợ, trừ nố gian dâm, và đi cưới vợ khác, thì phạm tội ngoại tình. Và ai cưới người đã bị rẫy, cũng phạm tội ngoại tình”.\rCác môn đệ thưa Người rằng: “Nếu sự thể việc vợ chồng là như thế, thì tốt hơn đừng cưới vợ”. Người đáp: “Không phải mọi người hiểu được điều ấy, nhưng chỉ những ai được ban cho hiểu mà thôi. Vì có những hoạn nhân từ lòng mẹ sinh ra, có những hoạn nhân do người ta làm nên, và có những người vì Nước Trời, tự trở thành hoạn nhân. Ai có thể hiểu được thì hiểu”.","end":"Ðó là lời Chúa"}},
+        "5196": {"firstReading":{"excerpt":"(Năm I) Gs 24, 14-29","info":"“Hôm nay các ngươi hãy tuỳ ý chọn phải tôn thờ ai hơn”.","title":"Trích sách ông Giosuê.","content":"Trong những ngày ấy, Giosuê nói với dân chúng rằng: “Giờ đây, các ngươi hãy kính sợ Chúa và tôn thờ Người với tâm hồn thiện hảo và chân thành. Hãy loại bỏ những thần cha ông các ngươi đã tôn thờ trong xứ Mêsôpôtamia và ở Ai-cập, mà tôn thờ Chúa. Còn nếu các ngươi không muốn tôn thờ Thiên Chúa, thì cho các ngươi lựa chọn: hôm nay, các ngươi hãy tùy ý chọn phải tôn thờ ai hơn: hoặc là các thần cha ông các ngươi đã tôn thờ ở Mêsôpôtamia, hoặc các thần của người xứ Amôrê, nơi các ngươi đang ở. Phần tôi và gia đình tôi, chúng tôi sẽ tôn thờ Chúa”.\rDân trả lời rằng: “Không thể có chuyện chúng tôi bỏ Chúa mà tôn thờ những thần ngoại. Chúa là Thiên Chúa chúng tôi, chính Người đã dẫn chúng tôi và cha ông chúng tôi ra khỏi Ai-cập, khỏi nhà nô lệ. Người đã làm những việc kỳ diệu cả thể trước mắt chúng tôi và đã gìn giữ chúng tôi suốt con đường chúng tôi đã đi, giữa tất cả mọi dân chúng tôi đã đi qua. Chúa đã trục xuất tất cả những dân đó cũng như người Amôrê trên phần đất chúng tôi đã tiến vào. Vậy chúng tôi sẽ tôn thờ Chúa, vì chính Người là Thiên Chúa chúng tôi”.\rBấy giờ Giosuê nói với dân chúng rằng: “Các ngươi không thể tôn thờ Chúa được, vì Người là Thiên Chúa chí thánh, Thiên Chúa ghen tương, sẽ không tha thứ những tội ác và lỗi lầm của các ngươi. Nếu các ngươi bỏ Chúa mà tôn thờ các thần ngoại, Người sẽ trở lại giáng hoạ trên các ngươi và tiêu diệt các ngươi, sau khi đã thi ân cho các ngươi”.\rDân chúng thưa với Giosuê rằng: “Không phải như ông nói đâu, nhưng chúng tôi sẽ tôn thờ Chúa”. Giosuê liền bảo dân chúng rằng: “Vậy các ngươi hãy tự làm chứng rằng: chính các ngươi đã chọn Chúa để tôn thờ Người”. Họ đáp: “Chúng tôi xin làm chứng”. Ông nói: “Vậy thì hãy loại bỏ những thần ngoại ra khỏi các ngươi và hướng lòng về Chúa là Thiên Chúa Israel”. Dân chúng thưa với Giosuê rằng: “Chúng tôi sẽ tôn thờ Chúa là Thiên Chúa chúng tôi, và sẽ tuân phục các mệnh lệnh của Người”.\rHôm ấy, Giosuê lập giao ước, ấn định quy chế và luật lệ cho dân ở Sikem. Giosuê ghi chép các lời đó vào sách Luật của Chúa, rồi lấy một tảng đá thật lớn và dựng lên dưới cây sồi ở trong nơi thánh của Chúa, và nói với toàn dân rằng: “Ðây, tảng đá này sẽ làm chứng cho các ngươi, vì nó đã nghe mọi lời Chúa phán với các ngươi, kẻo sau này các ngươi chối bỏ và lừa dối Chúa là Thiên Chúa các ngươi”. Sau đó, Giosuê giải tán dân chúng và ai nấy trở về với phần đất của mình. Sau những sự việc đó, Giosuê, con ông Nun, tôi tớ Chúa, qua đời, hưởng thọ một trăm mười tuổi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 11","response":"Ðáp: Lạy Chúa, Chúa là phần gia nghiệp của con","verses":["Xướng: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa. Con thưa cùng Chúa: Ngài là Chúa tể con! Chúa là phần gia nghiệp và phần chén của con; chính Ngài nắm giữ vận mạng của con.","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo. Ðó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn muôn đời."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin mở rộng tầm con mắt con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: ) Lạy Cha là Chúa Tể trời đất, con xin ngợi khen Cha, vì Cha đã mạc khải mầu nhiệm Nước Trời cho những người bé mọn. – Alleluia."},"gospel":{"excerpt":"Mt 19, 13-15","info":"“Ðừng ngăn cấm các trẻ nhỏ đến với Ta, vì Nước Trời là của những người giống như chúng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, người ta đem những trẻ nhỏ đến cho Chúa Giêsu để Người đặt tay và cầu nguyện cho chúng. Các môn đệ liền quở trách chúng, nhưng chúa Giêsu bảo: “Hãy để các trẻ nhỏ đến với Ta, và đừng ngăn cấm chúng, vì Nước Trời là của những người giống như chúng”. Sau khi Người đặt tay trên chúng, thì Người đi khỏi nơi đó.","end":"Ðó là lời Chúa"}},
+        "5201": {"firstReading":{"excerpt":"(Năm I) Tl 2, 11-19","info":"“Chúa khiến các quan án đứng ra, nhưng chúng không muốn nghe các ông”.","title":"Trích sách Thủ Lãnh.","content":"Trong những ngày ấy, con cái Israel làm điều gian ác trước mặt Chúa và phụng thờ các thần Baal. Chúng lìa bỏ Chúa là Thiên Chúa các tổ phụ chúng, Ðấng đã dẫn chúng ra khỏi đất Ai-cập, mà theo các thần ngoại, những thần các dân tộc cư ngụ chung quanh chúng, và thờ lạy các thần ấy, khiêu khích cơn nghĩa nộ Chúa, chối bỏ Người, và phụng thờ thần Baal và Astaroth. Chúa thịnh nộ Israel, trao chúng vào tay bọn cướp. Bọn này bắt chúng mà bán cho quân thù ở chung quanh chúng, chúng không sao chống lại được địch thù của chúng. Dù chúng muốn đi nơi nào, tay Chúa vẫn đè trên chúng, như Người đã phán và đã thề với chúng, như thế chúng phải chịu khổ cực nặng nề.\rChúa khiến các vị thủ lãnh đứng ra giải thoát chúng khỏi tay những người bóc lột, nhưng chúng cũng chẳng muốn nghe theo các vị thủ lãnh. Chúng hướng lòng về các thần ngoại và thờ lạy các thần ấy. Chúng đã vội bỏ đường lối các tổ tiên chúng đã đi, dù chúng có nghe biết các điều răn của Chúa, nhưng chúng vẫn làm mọi điều trái nghịch. Khi Chúa khiến các vị thủ lãnh đứng ra, Người tỏ lòng thương xót chúng, nghe lời những kẻ khốn cực kêu van, và giải thoát chúng khỏi tay những người bóc lột sát hại. Nhưng sau khi vị thủ lãnh chết, chúng lại đổi lòng, làm những điều xấu xa hơn cha ông chúng đã làm, theo các thần ngoại, phụng sự và thờ lạy các thần ấy. Chúng không từ bỏ những điều chúng bày đặt ra và đường lối quá ương ngạnh chúng quen đi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 34-35. 36-37. 39-40. 43ab và 44","response":"Ðáp: Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Chúa (c. 4a).","verses":["Xướng: Họ không chịu tiêu diệt những dân mà Chúa đã có lệnh truyền cho họ. Họ đã hoà mình với người chư dân, và học theo công việc chúng làm.","Xướng: Họ sùng bái tà thần của chúng, những tà thần đã hoá thành lưới dò hại họ. Họ đã giết những người con trai và con gái, để làm lễ cúng tế quỷ thần.","Xướng: Bởi những việc đó, họ tự làm ô uế bản thân, và do hành động tội lỗi, họ đã ngoại tình. Chúa đã bừng cơn thịnh nộ với dân tộc, và tởm ghét phần gia nghiệp của Người.","Xướng: Nhiều lần Chúa đã thương giải phóng nhưng họ manh tâm chống lại Người. Nhưng Người đã nhìn đến cảnh gian truân của họ, khi Người nghe lời họ kêu xin."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Phúc thay ai có tâm hồn nghèo khó, vì Nước Trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mt 19, 16-22","info":"“Nếu ngươi muốn nên trọn lành, hãy về bán hết của cải ngươi có, thì ngươi sẽ được kho tàng trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có một người đến thưa cùng Chúa Giêsu rằng: “Lạy Thầy nhân lành, tôi phải làm việc lành gì để được sống đời đời?” Người bảo kẻ ấy rằng: “Sao ngươi hỏi Ta về việc lành? Chỉ có một Ðấng nhân lành là Thiên Chúa. Nếu ngươi muốn vào nơi hằng sống, ngươi hãy tuân giữ các giới răn”. Người ấy hỏi rằng: “Những giới răn nào?” Chúa Giêsu đáp: “Ngươi chớ giết người, chớ ngoại tình, chớ trộm cắp, chớ làm chứng dối. Hãy thảo kính cha mẹ, và yêu thương kẻ khác như chính mình”. Người thanh niên thưa lại rằng: “Tất cả những điều đó tôi đã giữ từ khi còn niên thiếu, vậy tôi còn thiếu sót gì nữa chăng? Chúa Giêsu bảo anh: “Nếu ngươi muốn nên trọn lành, hãy về bán hết của cải ngươi có và bố thí cho người nghèo khó, thì ngươi sẽ được kho tàng trên trời, rồi đến mà theo Ta”. Khi người thanh niên nghe lời đó thì buồn rầu bỏ đi, vì anh có nhiều sản nghiệp.","end":"Ðó là lời Chúa"}},
+        "5202": {"firstReading":{"excerpt":"(Năm I) Tl 6, 11-24a","info":"“Hỡi Giêđêon, hãy đi giải thoát Israel: ngươi biết Ta thương xót ngươi”.","title":"Trích sách Thủ Lãnh.","content":"Trong những ngày ấy, Thiên thần Chúa đến ngồi dưới gốc cây sồi ở đất Êphra, thuộc sở hữu của ông Gioas, tổ gia tộc Abiêzer. Khi ấy, Giêđêon, con trai của ông, đang đập và rê lúa trong nhà ép nho để tránh mắt quân Mađian, thì Thiên thần Chúa hiện ra với ông và nói rằng: “Hỡi người dũng sĩ, Chúa ở cùng ngươi”. Giêđêon thưa lại rằng: “Thôi, xin Ngài, nếu Chúa ở cùng chúng tôi, tại sao chúng tôi phải chịu tất cả những sự này? Nào đâu những việc kỳ diệu của Chúa mà cha ông chúng tôi đã kể lại cho chúng tôi mà rằng: “Chúa đã dẫn chúng ta ra khỏi Ai-cập”? Nhưng nay Chúa lại bỏ rơi chúng tôi và trao chúng tôi vào tay quân Mađian”. Chúa nhìn ông mà phán rằng: “Ngươi hãy mạnh mẽ tiến đi mà giải thoát Israel khỏi tay quân Mađian: chính Ta sai ngươi đó”. Ông thưa lại rằng: “Thôi, xin Chúa, con dựa vào đâu mà giải thoát Israel? Ðây gia đình con là gia đình rốt hết trong chi tộc Manassê, và con là con út trong nhà cha con”. Chúa phán cùng ông rằng: “Ta sẽ ở cùng ngươi: ngươi sẽ đánh ngã quân Mađian như đánh một người vậy”. Ông thưa rằng: “Nếu con đẹp lòng Chúa, thì xin Chúa ban cho con một dấu chứng rằng chính Chúa phán dạy con. Xin Chúa chớ lìa khỏi nơi đây cho đến khi con trở lại cùng Chúa, mang theo của lễ dâng lên Chúa”. Chúa đáp lại rằng: “Ta sẽ đợi ngươi trở lại”.\rVậy Giêđêon vào nhà làm thịt một con dê đực, lấy một đấu bột làm bánh không men: để thịt vào giỏ, đổ nước thịt vào nồi, mang các món đó đến dưới cây sồi mà dâng cho Chúa. Thiên thần Chúa bảo ông rằng: “Ngươi hãy đem thịt và bánh không men đặt trên tảng đá kia, rồi đổ nước thịt lên trên”. Khi ông làm như vậy, thì Thiên thần Chúa giơ cây gậy Người cầm trong tay lên và chạm đến thịt và bánh không men, tức thì có lửa từ tảng đá bốc lên thiêu đốt thịt và bánh không men. Thiên thần Chúa liền biến đi khuất mắt ông. Giêđêon nhận biết đó là Thiên thần Chúa, liền thưa rằng: “Ôi, lạy Chúa là Thiên Chúa của con, con đã nhìn thấy Thiên thần Chúa nhãn tiền”. Chúa phán cùng ông rằng: “Bình an cho ngươi. Ðừng sợ, ngươi không chết đâu”. Giêđêon liền dựng một bàn thờ dâng kính Chúa, và gọi bàn thờ đó là “Bình an của Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9. 11-12. 13-14","response":"Ðáp: Chúa phán bảo về sự bình an cho dân tộc Người (x. c. 9).","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an, bình an cho dân tộc và các tín đồ của Chúa, và cho những ai thành tâm trở lại với Người.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng Chúa sẽ ban cho mọi điều thiện hảo, và đất Nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Ngài."]},"alleluia":{"verse":"Tv 118, 36a và 29b","content":"alleluia! – Lạy Chúa, xin nghiêng lòng con theo lời Chúa răn bảo, và xin rộng tay ban luật pháp của Chúa cho con. – Alleluia."},"gospel":{"excerpt":"Mt 19, 23-30","info":"“Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào Nước Trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy bảo thật các con: Người giàu có thật khó mà vào Nước Trời. Thầy còn bảo các con rằng: Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào Nước Trời”. Các môn đệ nghe vậy thì bỡ ngỡ quá mà thưa rằng: “Vậy thì ai có thể được cứu độ?” Chúa Giêsu nhìn các ông mà phán rằng: “Ðối với loài người thì không thể được, nhưng đối với Thiên Chúa thì mọi sự đều có thể được”. Bấy giờ Phêrô thưa Người rằng: “Này đây chúng con đã bỏ mọi sự mà theo Thầy, vậy chúng con sẽ được gì?” Chúa Giêsu bảo các ông rằng: “Thầy bảo thật các con: Các con đã theo Thầy, thì trong ngày tái sinh, khi Con Người ngự trên toà vinh hiển, các con cũng sẽ ngồi trên mười hai toà mà xét xử mười hai chi tộc Israel. Và tất cả những ai bỏ nhà cửa, anh chị em, cha mẹ, vợ con, ruộng nương vì danh Thầy, thì sẽ được gấp trăm và được sự sống đời đời. Nhưng có nhiều kẻ trước hết sẽ nên sau hết, và kẻ sau hết sẽ nên trước hết”.","end":"Ðó là lời Chúa"}},
+        "5203": {"firstReading":{"excerpt":"(Năm I) Tl 9, 6-15","info":"“Ðang khi Chúa ngự trị giữa chúng tôi, các ngươi đã nói: “Xin cho một vua cai trị chúng tôi”.","title":"Trích sách Thủ Lãnh.","content":"Khi ấy, mọi người Sikem và tất cả các gia tộc thành Mêllô tụ họp lại, rồi kéo nhau đến gần cây sồi ở Sikem, và tôn Abimêlech lên làm vua.\rKhi ông Giotham nghe tin ấy, liền đi lên đứng trên đỉnh núi Garizim, lớn tiếng kêu lên rằng: “Hỡi người Sikem, hãy nghe ta, để Thiên Chúa cũng nghe các ngươi. Các cây cối đều đến xức dầu phong một vị vua cai trị chúng, và nói cùng cây ôliu rằng: “Hãy đi cai trị chúng tôi”. Cây ôliu đáp lại rằng: “Chớ thì ta có thể bỏ việc sản xuất dầu mà các thần minh và loài người quen dùng, để được lên chức cai trị cây cối sao?” Các cây cối nói cùng cây vả rằng: “Hãy đến cầm quyền cai trị chúng tôi”. Cây vả trả lời rằng: “Chớ thì ta có thể bỏ sự ngọt ngào của ta, bỏ hoa trái ngon lành của ta, để được lên chức cai trị các cây cối khác sao?” Các cây cối nói với cây nho rằng: “Hãy đến cai trị chúng tôi”. Cây nho đáp rằng: “Chớ thì ta có thể bỏ việc cung cấp rượu, là thứ làm cho Thiên Chúa và loài người được vui mừng, để được lên chức cai trị các cây cối khác sao?” Tất cả những cây cối nói với bụi gai rằng: “Hãy đến cai trị chúng tôi”. Bụi gai trả lời rằng: “Nếu các ngươi thật lòng đặt ta làm vua các ngươi, thì các ngươi hãy đến nghỉ dưới bóng ta. Nhưng nếu các ngươi không muốn thì sẽ có lửa từ bụi gai phát ra thiêu huỷ các cây hương nam núi Liban”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 20, 2-3. 4-5. 6-7","response":"Ðáp: Lạy Chúa, do quyền năng Chúa mà vua vui mừng","verses":["Xướng: Lạy Chúa, do quyền năng Chúa mà vua vui mừng; do ơn Chúa phù trợ, vua xiết bao hân hoan! Chúa đã ban cho sự lòng vua ao ước, và điều môi miệng vua xin, Chúa chẳng chối từ.","Xướng: Chúa đã tiên liệu cho vua được phước lộc may mắn, đã đội triều thiên vàng ròng trên đầu vua. Nhờ Chúa giúp mà vua được vinh quang cao cả, Chúa khoác lên người vua, oai nghiêm với huy hoàng.","Xướng: Vua xin Chúa cho sống lâu, thì Chúa đã ban cho một chuỗi ngày dài tới muôn muôn thuở. Chúa đã khiến vua nên mục tiêu chúc phúc tới muôn đời, Chúa đã cho vua được hân hoan mừng rỡ trước thiên nhan."]},"alleluia":{"verse":"Tv 118, 135","content":"alleluia! – Xin Chúa tỏ cho tôi tớ Chúa thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 20, 1-16a","info":"“Hay mắt bạn ganh tị, vì tôi nhân lành chăng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này rằng: “Nước Trời giống như chủ nhà kia sáng sớm ra thuê người làm vườn nho mình. Khi đã thoả thuận với những người làm thuê về tiền công nhật là một đồng, ông sai họ đến vườn của ông.\r“Khoảng giờ thứ ba, ông trở ra, thấy có những người khác đứng không ngoài chợ, ông bảo họ rằng: “Các ngươi cũng hãy đi làm vườn nho ta, ta sẽ trả công cho các ngươi xứng đáng”. Họ liền đi. Khoảng giờ thứ sáu và thứ chín, ông cũng trở ra và làm như vậy.\r“Ðến khoảng giờ thứ mười một ông lại trở ra, và thấy có kẻ đứng đó, thì bảo họ rằng: “Sao các ngươi đứng nhưng không ở đây suốt ngày như thế?” Họ thưa rằng: “Vì không có ai thuê chúng tôi”. Ông bảo họ rằng: “Các ngươi cũng hãy đi làm vườn nho ta”.\r“Ðến chiều chủ vườn nho bảo người quản lý rằng: “Hãy gọi những kẻ làm thuê mà trả tiền công cho họ, từ người đến sau hết tới người đến trước hết”. Vậy những người làm từ giờ thứ mười một đến, lãnh mỗi người một đồng. Tới phiên những người đến làm trước, họ tưởng sẽ lãnh được nhiều hơn; nhưng họ cũng chỉ lãnh mỗi người một đồng. Ðang khi lãnh tiền, họ lẩm bẩm trách chủ nhà rằng: “Những người đến sau hết chỉ làm có một giờ, chúng tôi chịu nắng nôi khó nhọc suốt ngày mà ông kể họ bằng chúng tôi sao?” Chủ nhà trả lời với một kẻ trong nhóm họ rằng: “Này bạn, tôi không làm thiệt hại bạn đâu, chớ thì bạn đã không thoả thuận với tôi một đồng sao? Bạn hãy lấy phần bạn mà đi về, tôi muốn trả cho người đến sau hết bằng bạn, nào tôi chẳng được phép làm như ý tôi muốn sao? Hay mắt bạn ganh tị, vì tôi nhân lành chăng?”\r“Như thế, kẻ sau hết sẽ nên trước hết, và kẻ trước hết sẽ nên sau hết”.","end":"Ðó là lời Chúa"}},
+        "5204": {"firstReading":{"excerpt":"(Năm I) Tl 11, 29-39a","info":"“Hễ người nào ra khỏi cửa nhà trước hết, tôi sẽ dâng nó làm của lễ toàn thiêu”.","title":"Trích sách Thủ Lãnh.","content":"Trong những ngày ấy, Thần Trí của Chúa ngự trên ông Giéphtê, ông liền đi quanh đất Galaad, Manassê, (rồi) Maspha (của) Galaad, và từ đó tiến sang đánh con cái Ammon. Ông thề hứa với Chúa rằng: “Nếu Chúa trao con cái Ammon vào tay con, thì khi con từ đất con cái Ammon trở về bình an, hễ người nào ra khỏi nhà con và đón tiếp con trước hết, con sẽ dâng nó cho Chúa làm của lễ toàn thiêu”.\rÔng Giéphtê liền trẩy sang đánh con cái Ammon, Chúa đã trao chúng trong tay ông. Ông đã đánh phá hai mươi thành trong một trận ác liệt, từ Arôê đến cửa thành Mennith, và đến Abel Kêramim. Con cái Ammon bị con cái Israel hạ nhục. Khi ông Giéphtê trở về nhà ở Maspha, người con gái duy nhất ra với hội hát trống phách đón rước ông, vì ông chẳng có người con nào khác. Khi thấy đứa con gái, ông liền xé áo mình ra mà kêu lên rằng: “Con ơi, con làm khổ cha, con cũng khổ nữa, vì cha đã khấn hứa cùng Chúa, và cha không thể làm gì khác được”. Người con gái đáp: “Cha ơi, nếu cha đã khấn hứa cùng Chúa, thì cha cứ làm cho con mọi điều cha đã thề hứa, vì Chúa ban cho cha được trả thù và thắng kẻ thù của cha”. Cô lại nói với cha rằng: “Con chỉ xin cha điều này: xin cha cho con hai tháng, để con cùng các bạn con đi quanh núi đồi mà than khóc tuổi thanh xuân của con”. Người cha đáp: “Con cứ đi”. Và ông đã cho cô đi hai tháng. Khi cô ra đi làm một với bạn nghĩa thiết của cô, thì cô than khóc tuổi thanh xuân của cô trên núi đồi. Sau hai tháng, cô trở về nhà cha cô, và ông đã thi hành như ông đã thề hứa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 5. 7-8a. 8b-9. 10","response":"Ðáp: Lạy Chúa, này con xin đến, để thực thi ý Chúa (c. 8a & 9a).","verses":["Xướng: Phúc thay người đặt niềm tin cậy vào Chúa, không theo kẻ thờ thần tượng, không hướng về chuyện gian tà.","Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở tai con. Chúa không đòi hỏi hy lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong Quyển Vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong Ðại Hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai Lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Mt 22, 1-14","info":"“Các ngươi gặp bất cứ ai, thì mời vào dự tiệc cưới”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu lại phán cùng các đầu mục tư tế và kỳ lão trong dân những dụ ngôn này rằng: “Nước Trời giống như vua kia làm tiệc cưới cho hoàng tử. Vua sai đầy tớ đi gọi những người đã được mời dự tiệc cưới, nhưng họ không chịu đến. Vua lại sai các đầy tớ khác mà rằng: “Hãy nói cùng những người đã được mời rằng: Này ta đã dọn tiệc sẵn rồi, đã hạ bò và súc vật béo tốt rồi, mọi sự đã sẵn sàng: xin mời các ông đến dự tiệc cưới”. Nhưng những người ấy đã không đếm xỉa gì và bỏ đi: người thì đi thăm trại, người thì đi buôn bán, những người khác thì bắt đầy tớ vua mà nhục mạ và giết đi. Khi vua nghe biết, liền nổi cơn thịnh nộ, sai binh lính đi tru diệt bọn sát nhân đó, và thiêu huỷ thành phố của chúng. Bấy giờ vua nói với các đầy tớ rằng: “Tiệc cưới đã dọn sẵn sàng, nhưng những kẻ đã được mời không đáng dự. Vậy các ngươi hãy ra các ngả đường, gặp bất cứ ai, thì mời vào dự tiệc cưới”. Các đầy tớ liền đi ra đường, gặp ai bất luận tốt xấu, đều quy tụ lại và phòng cưới chật ních khách dự tiệc.\rÐoạn vua đi vào quan sát những người dự tiệc, và thấy ở đó một người không mặc y phục lễ cưới. Vua liền nói với người ấy rằng: “Này bạn, sao bạn vào đây mà lại không mặc y phục lễ cưới?” Người ấy lặng thinh. Bấy giờ vua truyền cho các đầy tớ rằng: “Trói tay chân nó lại, ném nó vào nơi tối tăm, ở đó sẽ phải khóc lóc và nghiến răng!” Vì những kẻ được gọi thì nhiều, còn những kẻ được chọn thì ít”.","end":"Ðó là lời Chúa"}},
+        "5205": {"firstReading":{"excerpt":"(Năm I) R 1, 1. 3-6. 14b-16. 22","info":"“Bà Nôêmi cùng nàng dâu người Moab là bà Ruth, từ nơi di cư trở về thành Bêlem”.","title":"Khởi đầu sách truyện Bà Ruth.","content":"Khi các quan án cầm quyền, thì dưới thời một quan án kia, trong xứ xảy ra nạn đói kém. Có một người thành Bêlem, thuộc chi tộc Giuđa, đem vợ và hai con sang cư ngụ trong miền Môab.\rVà Elimêlech, chồng bà Nôêmi, qua đời, để bà lại với hai con. Hai con bà cưới hai thiếu nữ Môab làm vợ: một tên là Orpha, còn người kia tên là Ruth. Họ chung sống ở đó được mười năm, thì cả hai người chồng là Mahalon và Kêlion cũng qua đời, còn lại mình bà Nôêmi không chồng con. Bấy giờ bà Nôêmi cùng với hai nàng dâu định bỏ đất Môab trở về quê hương, vì nghe nói Chúa thương dân Người, và ban cho họ lương thực.\rBà Orpha hôn mẹ chồng và ở lại đó. Còn bà Ruth thì đi theo mẹ chồng. Bà Nôêmi bảo bà Ruth rằng: “Kìa, chị dâu con đã ở lại với dân mình và các thần minh của họ, con hãy ở lại với chị con”. Bà Ruth thưa lại rằng: “Xin mẹ đừng bắt con bỏ mẹ mà ở lại, vì mẹ đi đâu thì con cũng đi theo đó. Dân tộc của mẹ là dân tộc của con, và Thiên Chúa của mẹ là Thiên Chúa của con”.\rVậy bà Nôêmi cùng nàng dâu người Môab là bà Ruth, từ nơi di cư trở về thành Bêlem, vào đầu mùa gặt lúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 5-6. 7. 8-9a. 9bc-10","response":"Ðáp: Linh hồn tôi ơi, hãy ngợi khen Chúa. Hoặc đọc: Alleluia.","verses":["Xướng: Phúc thay người được Thiên Chúa nhà Giacóp phù trợ, người đặt hy vọng vào Chúa là Thiên Chúa của mình: Người là Ðấng đã tạo thành trời đất, biển khơi và muôn vật chúng đang chứa đựng.","Xướng: Người là Ðấng trả lại quyền lợi cho người bị ức, và ban cho những người đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội.","Xướng: Thiên Chúa mở mắt những kẻ đui mù. Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quý các bậc hiền nhân, Thiên Chúa che chở những khách kiều cư.","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường lối đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời. Sion hỡi, Thiên Chúa của ngươi sẽ làm vua tự đời này sang đời khác."]},"alleluia":{"verse":"Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã mạc khải những mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia."},"gospel":{"excerpt":"Mt 22, 34-40","info":"“Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi, và yêu thương kẻ khác như chính mình ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, những người biệt phái nghe tiếng Chúa Giêsu đã làm cho những người Sađốc câm miệng, thì họp nhau lại. Ðoạn một người thông luật trong nhóm họ hỏi thử Người rằng: “Thưa Thầy, trong lề luật, giới răn nào trọng nhất?” Chúa Giêsu phán cùng người ấy rằng: “Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn và hết trí khôn ngươi. Ðó là giới răn thứ nhất và trọng nhất. Nhưng giới răn thứ hai cũng giống giới răn ấy, là: Ngươi hãy yêu thương kẻ khác như chính mình ngươi. Toàn thể lề luật và sách các tiên tri đều tóm lại trong hai giới răn đó”.","end":"Ðó là lời Chúa"}},
+        "5206": {"firstReading":{"excerpt":"R 2, 1-3. 8-11; 4, 13-17","info":"“Chúa không nỡ để cho bà thiếu kẻ nối dòng. Ðó là thân phụ của Isai, cha của Ðavít”.","title":"Trích sách Rút","content":"Bấy giờ ông Êlimêlech, chồng bà Nôêmi có một người họ hàng, là người quyền thế và giàu có, tên là Booz. Bà Ruth, người Môab, thưa với mẹ chồng rằng: “Nếu mẹ cho phép, con xin ra đồng mót lúa mà các thợ gặt bỏ sót, nơi nào mà chủ ruộng nhân từ vui lòng cho con mót”. Bà mẹ trả lời rằng: “Hỡi con, con cứ đi”. Nàng liền đi mót lúa đàng sau các thợ gặt. Bất ngờ chủ ruộng ấy tên là Booz, người có họ với Êlimêlech.\rÔng Booz bảo bà Ruth rằng: “Hỡi con, hãy nghe đây, con đừng đi mót lúa ở ruộng khác, đừng rời khỏi nơi này: nhưng hãy đi theo các tớ gái của ta, chúng nó gặt ở đâu, con cứ đi theo đó; vì ta bảo các đầy tớ ta đừng ai làm phiền con. Cả khi con khát nước, cũng cứ đến các vò nước và uống nước mà các đầy tớ ta uống”. Bà sấp mình xuống đất, lạy ông ấy mà nói rằng: “Bởi đâu tôi được ơn trước mặt ông, và ông đoái thương tôi là người nữ ngoại bang?” Ông trả lời rằng: “Ta đã nghe đồn mọi sự con đã làm đối với mẹ chồng, sau khi chồng con qua đời, con đã lìa bỏ cha mẹ quê hương và đến cùng dân tộc mà trước đây con không hề biết”.\rVậy ông Booz cưới bà Ruth làm vợ. Ông ăn ở với bà, và Chúa ban cho bà có thai, bà sinh được một con trai. Các phụ nữ nói cùng bà Nôêmi rằng: “Chúc tụng Chúa là Ðấng không nỡ để cho gia đình bà thiếu kẻ nối dòng! Và nguyện danh Chúa được ca tụng khắp Israel! Cầu chúc bà có người an ủi tâm hồn và phụng dưỡng tuổi già; vì người đó sẽ sinh ra do người con dâu yêu mến bà, và người con dâu đó đáng quý hơn bảy người con trai”. Bà Nôêmi ẵm con trẻ vào lòng, và nuôi nấng nó như người vú. Các phụ nữ láng giềng đến mừng bà mà rằng: “Bà Nôêmi đã được một cháu trai”. Họ đặt tên cho con trẻ là Obed: đó là thân phụ của Isai cha của Ðavít.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Ðó là ơn phúc lộc dành để cho người biết tôn sợ Chúa","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người! Công quả tay bạn làm ra bạn an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thất nội cung nhà bạn, con cái bạn như những chồi non của khóm ô liu, ở chung quanh bàn ăn của bạn.","Xướng: Ðó là phúc lộc dành để cho người biết tôn sợ Ðức Thiên Chúa. Nguyện xin Thiên Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem, hết mọi ngày trong đời sống của bạn."]},"alleluia":{"verse":"x. Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 23, 1-12","info":"“Họ nói mà không làm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng và các môn đệ rằng: “Các Luật sĩ và các người biệt phái ngồi trên toà Môsê: vậy những gì họ nói với các ngươi, các ngươi hãy làm và tuân giữ, nhưng đừng noi theo hành vi của họ: vì họ nói mà không làm. Họ buộc những bó nặng và chất lên vai người ta: còn chính họ lại không muốn giơ ngón tay lay thử. Mọi công việc họ làm đều có ý cho người ta thấy: vì thế họ nới rộng thẻ kinh, may dài tua áo. Họ muốn được chỗ nhất trong đám tiệc và ghế đầu trong hội đường, ưa được bái chào nơi đường phố và được người ta xưng hô là “Thầy”. Phần các ngươi, các ngươi đừng muốn được người ta gọi là “Thầy”, vì các ngươi chỉ có một Thầy, còn tất cả các ngươi đều là anh em với nhau. Và các ngươi cũng đừng gọi ai dưới đất là “cha”, vì các ngươi chỉ có một Cha, Người ngự trên trời. Các ngươi cũng đừng bắt người ta gọi là “người chỉ đạo”: vì các ngươi có một người chỉ đạo, đó là Ðức Kitô. Trong các ngươi ai quyền thế hơn sẽ là người phục vụ các ngươi. Hễ ai tự nhắc mình lên, sẽ bị hạ xuống, và ai tự hạ mình xuống, sẽ được nâng lên”.","end":"Ðó là lời Chúa"}},
+        "5211": {"firstReading":{"excerpt":"(Năm I) 1 Tx 1, 1-5. 8b-10","info":"“Anh em đã từ bỏ tà thần trở về với Thiên Chúa, để trông đợi Con của Người, Ðấng mà Người cho sống lại”.","title":"Khởi đầu thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Phaolô, Silvanô và Timôthêu kính gửi giáo đoàn Thêxalôni-ca trong Thiên Chúa Cha và trong Chúa Giêsu Kitô. Nguyện chúc cho anh em được ân sủng và bình an.\rTôi hằng tạ ơn Thiên Chúa cho mọi người anh em; trong khi tôi cầu nguyện, tôi hằng nhớ đến anh em không ngừng, tôi nhớ đến sự nghiệp của lòng tin, công việc của lòng bác ái, sự vững lòng trông cậy của anh em vào Ðức Giêsu Kitô, Chúa chúng ta, trước mặt Thiên Chúa là Cha chúng ta.\rHỡi anh em là những kẻ được Thiên Chúa yêu mến, tôi từng biết anh em được Chúa tuyển chọn, bởi vì Tin Mừng của chúng tôi ở nơi anh em, không phải chỉ với lời nói mà thôi, mà là với quyền năng, với Thánh Thần, và với lòng xác tín, như khi chúng tôi còn ở giữa anh em, anh em biết chúng tôi sống thế nào vì anh em.\rTrong mọi nơi, lòng tin của anh em vào Thiên Chúa đã quá rõ rồi, đến nỗi chúng tôi không còn nói thêm làm gì nữa. Vì người ta thuật lại việc chúng tôi đã đến với anh em thế nào, và anh em đã bỏ tà thần trở về với Thiên Chúa làm sao để phụng thờ Thiên Chúa hằng sống và chân thật, để trông đợi Con của Người từ trời mà đến, (Ðấng mà Người đã làm cho từ cõi chết sống lại) là Ðức Giêsu, Ðấng đã giải thoát chúng ta khỏi cơn thịnh nộ sắp đến.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","response":"Ðáp: Chúa yêu thương dân Người (c. 4a).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy vang lên lời khen ngợi trong công hội các tín đồ. Israel hãy mừng vui vì Ðấng tạo tác bản thân, con cái Sion hãy hân hoan vì vua của họ.","Xướng: Họ hãy hoà nhạc để ngợi khen Người, hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang, hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa."]},"alleluia":{"verse":"2 Cr 5, 19","content":"alleluia! – Thiên Chúa ở trong Ðức Kitô đã giải hoà thế gian với Người, và đã đặt lời giải hoà trên môi miệng chúng tôi. – Alleluia."},"gospel":{"excerpt":"Mt 23, 13-22","info":"“Khốn cho các ngươi, hỡi những kẻ dẫn đường đui mù”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình! Vì các ngươi đóng cửa nước trời không cho người ta vào: vì các ngươi không vào, mà kẻ muốn vào, các ngươi cũng chẳng để cho vào.\r“Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình! Vì các ngươi đọc kinh cho dài để nuốt tài sản của các bà goá, bởi thế, các ngươi sẽ chịu phán xét nặng hơn.\r“Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình! Vì các ngươi rảo khắp biển khơi và lục địa, để tìm cho được một người tòng giáo, nhưng khi đã cho người đó tòng giáo, các ngươi làm cho nó trở thành con cái hoả ngục gấp hai lần các ngươi.\r“Khốn cho các ngươi, hỡi những kẻ dẫn đường đui mù! Vì các ngươi nói rằng: Ai lấy đền thờ mà thề, thì không có giá trị gì, nhưng ai lấy vàng trong đền thờ mà thề, thì mắc lời thề. Hỡi kẻ ngu ngốc và đui mù, chớ thì vàng hay là đền thờ thánh hoá vàng, cái nào trọng hơn? Các ngươi còn bảo rằng: Ai lấy bàn thờ mà thề, thì không giá trị gì, nhưng ai lấy của lễ để trên bàn thờ mà thề, thì mắc lời thề. Hỡi những kẻ đui mù, chớ thì của lễ hay là bàn thờ thánh hoá của lễ, cái nào trọng hơn?\r“Vậy ai lấy bàn thờ mà thề, thì lấy cả bàn thờ và mọi sự để trên bàn thờ mà thề. Kẻ nào lấy đền thờ mà thề, thì lấy cả đền thờ và Ðấng ngự trong đền thờ mà thề. Và kẻ nào lấy trời mà thề, thì lấy ngai toà Thiên Chúa và Ðấng ngự trên ngai toà ấy mà thề”.","end":"Ðó là lời Chúa"}},
+        "5212": {"firstReading":{"excerpt":"(Năm I) 1 Tx 2, 1-8","info":"“Chúng tôi rất vui lòng trao phó anh em, không những Tin Mừng của Thiên Chúa, mà còn cả mạng sống chúng tôi nữa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chính anh em cũng biết rằng sự chúng tôi đến với anh em không phải là luống công; nhưng dù khi trước chúng tôi phải khốn khổ, sỉ nhục tại thành Philipphê, như anh em đã biết, chúng tôi vẫn cậy trông vào Thiên Chúa chúng ta mà chuyên lo rao giảng Tin Mừng của Thiên Chúa cho anh em. Vì chưng chúng tôi không khuyên dạy những điều sai lầm, những điều ô uế, những điều gian dối, nhưng như chúng tôi đã được Thiên Chúa thử thách để anh em được tin theo Tin Mừng thế nào, thì chúng tôi giảng dạy mà không muốn làm đẹp lòng người đời, nhưng muốn làm đẹp lòng Thiên Chúa, Ðấng thử thách tấm lòng chúng tôi như vậy.\rBởi vì chúng tôi không bao giờ nói lời dua nịnh, như anh em biết, và cũng không tìm dịp trục lợi, như Thiên Chúa chứng giám: chúng tôi không cầu vinh nơi loài người, dầu với anh em hay với ai khác, dù chúng tôi có thể làm phiền hà anh em, với danh nghĩa là Tông đồ của Ðức Kitô, nhưng chúng tôi đã trở thành như những kẻ bé mọn giữa anh em. Như người vú nuôi nâng niu con cái mình thế nào, thì chúng tôi yêu thương anh em đến nỗi chúng tôi rất vui lòng trao phó cho anh em, không những Tin Mừng của Thiên Chúa, mà còn cả mạng sống chúng tôi nữa: vì anh em đã nên thiết nghĩa với chúng tôi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 138, 1-3. 4-6","response":"Ðáp: Lạy Chúa, Ngài thăm dò và biết rõ con (c. 1a).","verses":["Xướng: Lạy Chúa, Ngài thăm dò và biết rõ con. Ngài biết con, lúc con ngồi khi con đứng; Ngài hiểu thấu tư tưởng con tự đàng xa, khi con bước đi hay nằm nghỉ, Ngài thấy hết, Ngài để ý tới mọi đường lối của con.","Xướng: Khi lời nói chưa lên tới đầu lưỡi, thì kìa, lạy Chúa, Ngài đã biết cả rồi; sau lưng hay trước mặt, Chúa bao bọc thân con, và trên mình con, Chúa đặt tay. Ðối với con sự thông minh này quá ư huyền diệu, quá cao xa, con thực không thể hiểu ra."]},"alleluia":{"verse":"Ep 1, 17-18","content":"alleluia! – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 23, 23-26","info":"“Phải làm những điều này, và không bỏ các điều kia”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình: các ngươi nộp thuế thập phân về bạc hà, hồi hương và thì là, còn những điều quan trọng hơn trong lề luật, là đức công bình, lòng nhân từ và lòng tin thì các ngươi lại bỏ qua; đáng lẽ phải làm những điều này và không bỏ các điều kia.\r“Hỡi những kẻ dẫn đường đui mù, các ngươi gạn lọc một con muỗi ra, nhưng lại nuốt trửng cả con lạc đà. Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình, vì các ngươi rửa bên ngoài chén đĩa, nhưng bên trong, các ngươi đầy gian tham và nhơ bẩn. Hỡi những người biệt phái đui mù, hãy rửa bên trong chén đĩa trước đã, để bên ngoài cũng được sạch”.","end":"Ðó là lời Chúa"}},
+        "5213": {"firstReading":{"excerpt":"(Năm I) 1 Tx 2, 9-13","info":"“Chúng tôi làm việc ngày đêm để rao giảng Tin Mừng giữa anh em”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, anh em vẫn còn nhớ đến công lao khó nhọc của chúng tôi: chúng tôi phải làm việc ngày đêm để khỏi trở nên gánh nặng cho một ai trong anh em, khi chúng tôi rao giảng Tin Mừng của Thiên Chúa giữa anh em. Chính anh em là nhân chứng và cả Thiên Chúa cũng làm chứng: chúng tôi ăn ở thánh thiện, công chính và không đáng trách điều gì đối với anh em là những kẻ đã tin. Như anh em biết, chúng tôi đối xử với mỗi người trong anh em như cha đối xử với con cái mình, khi chúng tôi khuyên răn, khích lệ và van nài anh em hãy ăn ở sao cho xứng đáng với Thiên Chúa, Ðấng đã kêu gọi anh em vào hưởng nước trời và vinh quang của Người.\rBởi thế, chúng tôi không ngừng cảm tạ Thiên Chúa, vì khi anh em nhận lãnh lời Thiên Chúa do chúng tôi rao giảng, anh em đã nhận lãnh lời ấy không phải như lời của người phàm, mà như lời Thiên Chúa, và thực sự là thế, lời đó hoạt động trong anh em là những kẻ đã tin.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 138, 7-8. 9-10. 11-12ab","response":"Ðáp: Lạy Chúa, Ngài thăm dò và biết rõ con","verses":["Xướng: Con đi đâu để xa khuất được thần linh của Chúa? Con trốn đâu cho khỏi thiên nhan Ngài? Nếu con leo được lên trời, thì cũng có Ngài ngự đó; nếu con nằm dưới âm phủ, thì đấy cũng có mặt Ngài.","Xướng: Nếu con mượn đôi cánh của hừng đông, và bay đến cư ngụ nơi biên cương biển cả, tại nơi đấy cũng bàn tay Chúa dẫn dắt con, và tay hữu Ngài nắm giữ con.","Xướng: Nếu con nói: “Phải chi sự tối tăm che phủ, và sự sáng trở thành đêm bao quanh con”, thì đối với Ngài sự tối sẽ không có tối, và đêm sẽ sáng sủa như ban ngày."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Mt 23, 27-32","info":"“Các ngươi là con cháu những kẻ đã giết các tiên tri”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình: vì các ngươi giống như mồ mả tô vôi, bên ngoài có vẻ tốt đẹp, nhưng bên trong đầy xương kẻ chết và mọi thứ dơ nhớp. Các ngươi cũng thế, bên ngoài, các ngươi có vẻ là người công chính, nhưng bên trong, các ngươi đầy sự giả hình và gian ác. Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình, các ngươi xây đắp phần mộ các tiên tri, trang hoàng mồ mả những người công chính, và các ngươi nói rằng: “Nếu chúng tôi sống thời cha ông chúng tôi, ắt chúng tôi không thông đồng với các ngài trong việc đổ máu các tiên tri”. Vì thế, các ngươi tự chứng thực các ngươi là con cháu những kẻ đã giết các tiên tri. Vậy các ngươi cứ đong cho đầy đấu của cha ông các ngươi”.","end":"Ðó là lời Chúa"}},
+        "5214": {"firstReading":{"excerpt":"(Năm I) 1 Tx 3, 7-13","info":"“Xin Chúa ban cho anh em lòng yêu thương nhau và yêu thương mọi người”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, vì đức tin anh em, chúng tôi được an ủi nơi anh em trong mọi nỗi quẫn bách và gian truân, hiện giờ chúng tôi cảm thấy được sống, vì thấy anh em đứng vững trong Chúa. Vậy chúng tôi phải cảm tạ ơn Chúa thế nào thay cho anh em, vì nỗi vui mừng chúng tôi được hưởng trước mặt Thiên Chúa chúng ta nhờ anh em. Ðêm ngày chúng tôi gia tăng lời cầu nguyện, để được gặp mặt anh em lại và bổ túc những gì thiếu sót trong đức tin của anh em. Xin chính Thiên Chúa là Cha chúng ta, và Ðức Giêsu Kitô, Chúa chúng ta, dẫn đàng đưa chúng tôi tới anh em. Về phần anh em, xin Chúa ban cho anh em được gia tăng và dồi dào lòng yêu thương nhau và yêu thương mọi người, như chính chúng tôi yêu thương anh em: để làm cho lòng anh em nên vững vàng trong sự thánh thiện, không còn điều gì đáng trách trước mặt Thiên Chúa là Cha chúng ta, trong ngày Ðức Giêsu Kitô, Chúa chúng ta đến làm một cùng tất cả các thánh của Người. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 3-4. 12-13. 14 và 17","response":"Ðáp: Xin cho chúng con sớm đươc no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan","verses":["Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Người phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chớ còn để tới bao giờ? Xin tỏ lòng xót thương tôi tớ của Ngài.","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan trọn đời sống chúng con. Xin cho chúng con được hưởng ân sủng Chúa là Thiên Chúa chúng con. Sự nghiệp tay chúng con làm ra, xin Ngài củng cố; xin Ngài củng cố sự nghiệp tay chúng con làm ra."]},"alleluia":{"verse":"Cl 3, 16a và 17c","content":"alleluia! – Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em; anh em hãy nhờ Ðức Kitô mà tạ ơn Thiên Chúa Cha. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Anh em hãy canh thức và hãy sẵn sàng, vì chính giờ phút anh em không ngờ, thì Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Mt 24, 42-51","info":"“Các con hãy sẵn sàng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy tỉnh thức, vì không biết giờ nào Chúa các con sẽ đến. Nhưng các con phải biết điều này, là nếu chủ nhà biết giờ nào kẻ trộm đến, hẳn ông ta sẽ canh phòng, không để cho đào ngạch khoét vách nhà mình. Vậy các con cũng phải sẵn sàng, vì lúc các con không ngờ, Con Người sẽ đến.\r“Vậy các con nghĩ ai là đầy tớ trung tín và khôn ngoan mà chủ đã đặt lên coi sóc gia nhân, để cứ giờ mà phân phát lương thực cho họ? Phúc cho đầy tớ ấy, khi chủ nó đến thấy nó đang làm như vậy. Thầy bảo thật các con, chủ sẽ đặt người ấy lên coi sóc tất cả gia sản ông. Nhưng nếu đầy tớ ấy xấu, nghĩ trong lòng rằng: “Chủ tôi về muộn”, rồi nó đánh đập các bạn đầy tớ, lại còn chè chén với lũ say sưa: chủ đầy tớ ấy trở về vào ngày nó không ngờ, vào giờ nó không biết, ông sẽ xé xác nó ra, và cho nó chung số phận với những kẻ giả hình: ở đó sẽ phải khóc lóc nghiến răng”.","end":"Ðó là lời Chúa"}},
+        "5215": {"firstReading":{"excerpt":"(Năm I) 1 Tx 4, 1-8","info":"“Ðây cũng là thánh ý Thiên Chúa và cũng là sự nên thánh của anh em”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chúng tôi van nài anh em trong Chúa Giêsu điều này là như anh em được chúng tôi dạy cho biết phải sống thế nào cho đẹp lòng Chúa, anh em đang sống như vậy, xin anh em cứ tiến thêm nữa. Vì anh em biết rõ huấn thị chúng tôi nhân danh Chúa Giêsu đã ban cho anh em. Vì chưng, đây là thánh ý Thiên Chúa, và cũng là sự nên thánh của anh em là anh em hãy giữ mình khỏi tội gian dâm, để mọi người trong anh em biết giữ thân xác mình trong sự thánh thiện và danh dự: anh em chớ nên buông theo dục tình đam mê, như Dân Ngoại không biết Thiên Chúa: và đừng ai xâm phạm hay lường gạt quyền lợi anh em mình trong việc ấy, vì Chúa sẽ báo oán các điều đó, như chúng tôi đã bảo trước và đã minh chứng cho anh em. Vì chưng, Thiên Chúa không kêu gọi chúng ta để sống ô uế, nhưng để sống thánh thiện. Bởi thế, kẻ nào khinh chê những luật này, thì chẳng phải là khinh dể người phàm, nhưng là khinh dể Thiên Chúa, Ðấng cũng đã ban Thánh Thần Người cho chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2b. 5-6. 10. 11-12","response":"Ðáp: Người hiền đức, hãy mừng vui trong Chúa","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan; hải đảo muôn ngàn, hãy mừng vui. Mây khói và sương mù bao toả chung quanh; công minh chính trực là nền kê ngai báu.","Xướng: Núi non vỡ lở như mẩu sáp ong trước thiên nhan; trước thiên nhan Chúa tể toàn cõi đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người.","Xướng: Chúa yêu thương những ai ghét xa điều dữ; Người gìn giữ tâm hồn những tôi ngoan, và giải thoát họ khỏi bàn tay đứa ác.","Xướng: Sáng sủa bừng lên cho người hiền đức, và niềm hoan hỉ cho kẻ lòng ngay. Người hiền đức hãy mừng vui trong Chúa, và hãy ca tụng thánh danh Người."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."},"gospel":{"excerpt":"Mt 25, 1-13","info":"“Kìa chàng rể đến, hãy ra đón người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.","end":"Ðó là lời Chúa"}},
+        "5216": {"firstReading":{"excerpt":"(Năm I) 1 Tx 4, 9-11","info":"“Chính anh em đã được Thiên Chúa dạy cho biết phải thương yêu nhau”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, về tình bác ái huynh đệ, thì chúng tôi không cần viết cho anh em: vì chính anh em đã được Thiên Chúa dạy cho biết phải thương yêu nhau. Vì chưng anh em đã thi hành điều đó với mọi anh em trong toàn xứ Macêđônia. Nhưng, anh em thân mến, chúng tôi xin anh em hãy tiến tới hơn nữa, hãy cố gắng sống cho hoà thuận, thi hành các việc bổn phận, dùng tay mà làm việc như chúng tôi đã truyền dạy anh em, ăn ở lương thiện với những người ngoài, và khỏi cần nhờ đến ai.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 7-8. 9","response":"Ðáp: Chúa ngự trị cai quản chư dân trong đường chính trực","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người. Xướng: Biển khơi và muôn vật trong đó hãy rống tiếng lên; cả địa cầu và những dân cư ngụ ở trong cũng thế. Các sông ngòi hãy vỗ tay reo, đồng thời các núi non hãy hân hoan nhảy nhót.","Xướng: Trước thiên nhan Chúa, vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người cai quản địa cầu với đức công minh, và cai quản chư dân trong đường chánh trực."]},"alleluia":{"verse":"2 Tx 2, 14","content":"alleluia! – Thiên Chúa đã dùng Tin Mừng mà kêu gọi chúng ta, để chúng ta được chiếm lấy vinh quang của Ðức Giêsu Kitô, Chúa chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 25, 14-30","info":"“Vì ngươi đã trung tín trong việc nhỏ, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này rằng: “Có một người kia sắp đi xa, liền gọi các đầy tớ đến mà giao phó tài sản của ông. Ông trao cho người này năm nén bạc, người kia hai nén, người khác nữa một nén, tùy theo khả năng mỗi người, đoạn ông ra đi. Người lãnh năm nén bạc, ra đi và dùng tiền ấy buôn bán làm lợi được năm nén khác. Cũng vậy, người lãnh hai nén cũng làm lợi ra hai nén khác. Còn người lãnh một nén, thì đi đào lỗ chôn giấu tiền của chủ mình. Sau một thời gian lâu dài, ông chủ các đầy tớ trở về và đòi họ tính sổ. Vậy người lãnh năm nén bạc đến, mang theo năm nén khác mà nói rằng: “Thưa ông, ông đã trao cho tôi năm nén bạc, đây tôi làm lợi được năm nén khác”. Ông chủ bảo người ấy rằng: “Hỡi đầy tớ tốt lành và trung tín, vì ngươi đã trung tín trong việc nhỏ, ta sẽ đặt ngươi làm những việc lớn, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”. Người đã lãnh hai nén bạc cũng đến và nói: “Thưa ông, ông đã trao cho tôi hai nén bạc, đây tôi đã làm lợi được hai nén khác”. Ông chủ bảo người ấy rằng: “Hỡi đầy tớ tốt lành và trung tín, vì ngươi đã trung tín trong việc nhỏ, ta sẽ đặt ngươi làm những việc lớn, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”.\r“Còn người lãnh một nén bạc đến và nói: “Thưa ông, tôi biết ông là người keo kiệt, gặt chỗ không gieo và thu nơi không phát, nên tôi khiếp sợ đi chôn giấu nén bạc của ông dưới đất. Ðây của ông, xin trả lại ông”. Ông chủ trả lời người ấy rằng: “Hỡi đầy tớ hư thân và biếng nhác, ngươi đã biết ta gặt chỗ không gieo, thu nơi không phát: vậy lẽ ra ngươi phải giao bạc của ta cho người đổi tiền, và khi ta trở về, ta sẽ thu cả vốn lẫn lời. Bởi thế, các ngươi hãy lấy nén bạc lại mà trao cho người có mười nén. Vì người có sẽ cho thêm và sẽ được dư dật, còn kẻ chẳng có, thì vật gì coi như của nó, cũng lấy đi. Còn tên đầy tớ vô dụng, các ngươi hãy ném nó ra ngoài vào nơi tối tăm, ở đó sẽ phải khóc lóc, nghiến răng”.","end":"Ðó là lời Chúa"}},
+        "5221": {"firstReading":{"excerpt":"(Năm I) 1 Tx 4, 13-17","info":"“Nhờ Ðức Giêsu, Thiên Chúa sẽ đem những người đã chết đến làm một với Người”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, chúng tôi chẳng muốn để anh em không biết gì về số phận những người đã an nghỉ, để anh em khỏi buồn phiền như những người khác, là những kẻ không có niềm hy vọng. Vì nếu chúng ta tin Ðức Giêsu đã chết và đã sống lại, thì cũng vậy, những người đã chết nhờ Ðức Giêsu, Thiên Chúa sẽ đem họ đến làm một với Người.\rBởi vậy, chúng tôi dựa vào lời Chúa để nói cùng anh em điều này: chúng ta, những kẻ đang sống, những kẻ còn sót lại khi Chúa đến, thì chúng ta không đi trước những người đã an nghỉ. Vì khi nghe lệnh và tiếng Tổng lãnh Thiên thần, và tiếng loa Thiên Chúa, thì chính Chúa từ trời ngự xuống, và những người đã chết trong Ðức Kitô sẽ sống lại trước hết, rồi đến chúng ta, những kẻ đang sống, những kẻ còn sống sót, chúng ta sẽ được nhắc lên cùng với họ trên các tầng mây, đi đón Ðức Kitô trên không trung, và như vậy, chúng ta sẽ được ở cùng Chúa luôn mãi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1 và 3. 4-5. 11-12. 13","response":"Ðáp: Chúa ngự tới cai quản địa cầu","verses":["Xướng: Hãy ca mừng Thiên Chúa bài ca mới, hãy ca mừng Thiên Chúa, hỡi toàn thể địa cầu. Hãy tường thuật vinh quang Chúa giữa chư dân, và phép lạ Người ở nơi vạn quốc.","Xướng: Vì Thiên Chúa, Người hùng vĩ và rất đáng ngợi khen, Người khả úy hơn mọi bậc chúa tể. Vì mọi chúa tể của chư dân là hư ảo, nhưng Thiên Chúa đã tác tạo trời xanh.","Xướng: Trời xanh hãy vui mừng và địa cầu hãy hân hoan, biển khơi và muôn vật trong đó hãy reo lên, đồng nội và muôn loài trong đó hãy mừng vui. Các rừng cây hãy vui tươi hớn hở.","Xướng: Trước nhan Thiên Chúa: vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người sẽ cai quản địa cầu cách công minh và chư dân cách chân thành."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi giới răn Chúa được lập ra cho tới muôn đời. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! Thần Khí Chúa ngự trên tôi, sai tôi đi loan Tin Mừng cho kẻ nghèo hèn. – Alleluia."},"gospel":{"excerpt":"Lc 4, 16-30","info":"“Người sai tôi đi rao giảng Tin Mừng cho người nghèo khó... Không một tiên tri nào được đón tiếp tại quê hương mình”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu trở về Nadarét, nơi Người sinh trưởng, và theo thói quen của Người, thì ngày Sabbat, Người vào hội đường. Người đứng dậy để đọc sách. Người ta trao cho Người sách tiên tri Isaia. Mở sách ra, Người gặp ngay đoạn chép rằng: “Thánh Thần Chúa ngự trên tôi, vì Ngài xức dầu cho tôi, sai tôi đi rao giảng Tin Mừng cho người nghèo khó, thuyên chữa những tâm hồn sám hối, loan truyền sự giải thoát cho kẻ bị giam cầm, cho người mù được trông thấy, trả tự do cho những kẻ bị áp bức, công bố năm hồng ân và ngày khen thưởng”.\rNgười gấp sách lại, trao cho thừa tác viên, và ngồi xuống. Mọi người trong hội đường đều chăm chú nhìn Người. Người bắt đầu nói với họ: “Hôm nay ứng nghiệm đoạn Kinh Thánh mà tai các ngươi vừa nghe”. Mọi người đều làm chứng cho Người và thán phục Người về những lời từ miệng Người thốt ra, và họ nói: “Người này không phải là con ông Giuse sao?”\rVà Người nói với họ: “Hẳn các ngươi sắp nói cho Ta nghe câu ngạn ngữ này: “Hỡi thầy thuốc, hãy chữa lấy chính mình”; “điều chúng tôi nghe xảy ra ở Capharnaum, ông hãy làm như vậy tại quê hương ông”. Người nói tiếp: “Ta bảo thật các ngươi, không một tiên tri nào được đón tiếp tại quê hương mình. Ta bảo thật các ngươi, đã có nhiều bà goá trong Israel thời Êlia, khi trời bị đóng lại trong ba năm sáu tháng, khi nạn đói lớn xảy ra khắp trong xứ; dầu vậy, Êlia không được sai đến cùng một người nào trong các bà đó, nhưng được sai đến bà goá tại Sarepta thuộc xứ Siđon. Cũng có nhiều người phong cùi trong Israel thời tiên tri Êlisêô, thế mà không người nào trong họ được lành sạch cả, ngoại trừ Naaman, người Syria”.\rKhi nghe đến đó, mọi người trong hội đường đều đầy căm phẫn, họ chỗi dậy và trục xuất Người ra khỏi thành. Họ dẫn Người lên triền núi, nơi xây cất thành trì của họ, để xô Người xuống vực thẳm. Nhưng Người rẽ qua giữa họ mà đi.","end":"Ðó là lời Chúa"}},
+        "5222": {"firstReading":{"excerpt":"(Năm I) 1 Tx 5, 1-6. 9-11","info":"“Người đã chết vì chúng ta, để chúng ta cùng được sống với Người”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, về thời nào và lúc nào, anh em không cần chúng tôi viết cho anh em. Vì chính anh em đã biết rõ ngày Chúa sẽ đến như kẻ trộm trong đêm tối. Khi người ta nói rằng: “Yên ổn và an toàn”, thì chính lúc đó, tai hoạ thình lình giáng xuống trên họ, như cơn đau đớn xảy đến cho người mang thai và họ không sao thoát khỏi. Phần anh em, hỡi anh em thân mến, anh em không còn tối tăm, đến nỗi ngày đó bắt chợt anh em như kẻ trộm, vì tất cả anh em là con cái sự sáng, con cái ban ngày; chúng ta không thuộc về ban đêm và tối tăm. Vậy chúng ta đừng mê ngủ như những người khác, nhưng hãy tỉnh thức và điều độ.\rVì Thiên Chúa không đặt để chúng ta phải chịu cơn thịnh nộ, nhưng là để chúng ta chiếm lãnh ơn cứu độ nhờ Ðức Giêsu Kitô, Chúa chúng ta, Ðấng đã chết vì chúng ta, để dù thức hay ngủ, chúng ta được cùng sống với Người. Bởi đấy, anh em hãy an ủi nhau, hãy lo xây dựng cho nhau, như anh em vẫn thường làm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","response":"Ðáp: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi, hầu vui hưởng sự êm đềm của Chúa, và chiêm ngưỡng thánh điện của Người. .","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa!"]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia. (Hoặc đọc: ) Vị ngôn sứ vĩ đại đã xuất hiện giữa chúng ta, và Thiên Chúa đã viếng thăm dân Người”"},"gospel":{"excerpt":"Lc 4, 31-37","info":"“Tôi biết Ngài là ai rồi, là Ðấng Thánh của Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu xuống thành Capharnaum, xứ Galilêa, và ở đó Người giảng dạy họ trong các ngày Sabbat. Người ta bỡ ngỡ về giáo lý của Người, vì lời giảng dạy của Người có uy quyền. Bấy giờ trong hội đường, có một người bị quỷ ô uế ám, thét to lên rằng: “Hỡi Giêsu Nadarét, giữa chúng tôi và Ngài có chuyện chi đâu? Ngài đến tiêu diệt chúng tôi sao? Tôi biết Ngài là ai rồi, là Ðấng Thánh của Thiên Chúa”. Nhưng Chúa Giêsu trách mắng nó rằng: “Hãy câm đi và ra khỏi người này”. Và quỷ vật ngã người đó giữa hội đường và xuất khỏi nó, mà không làm hại gì nó. Mọi người kinh hãi và bảo nhau rằng: “Lời gì mà lạ lùng vậy? Vì Người dùng quyền năng mà ra lệnh cho các thần ô uế, và chúng phải xuất ra”. Danh tiếng Người đồn ra khắp nơi trong xứ.","end":"Ðó là lời Chúa"}},
+        "5223": {"firstReading":{"excerpt":"(Năm I) Cl 1, 1-8","info":"“Lời chân thật đã đến với anh em, như đã đến trong khắp thiên hạ”.","title":"Khởi đầu bức thư của Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Phaolô, Tông đồ của Ðức Giêsu Kitô do ý định của Thiên Chúa, và anh Timôthêu, kính gửi các thánh ở Côlôxê, và anh em tín hữu trong Ðức Giêsu Kitô. Nguyện xin ân sủng và bình an của Thiên Chúa là Cha chúng ta và của Chúa Giêsu Kitô, ở cùng anh em.\rChúng tôi hằng cảm tạ Thiên Chúa, là Cha Ðức Giêsu Kitô, Chúa chúng ta, khi chúng tôi cầu nguyện cho anh em, bởi nghe biết lòng tin của anh em vào Ðức Giêsu Kitô, và lòng yêu mến của anh em đối với tất cả các thánh. Chúng tôi cảm tạ vì niềm hy vọng dành cho anh em trên trời, mà anh em đã nghe biết trong lời chân thật của Tin Mừng. Tin Mừng đó đã đến với anh em, như đã đến trong khắp thiên hạ, sinh hoa kết quả và gia tăng nơi anh em, từ ngày anh em đã nghe và nhận biết ơn Thiên Chúa trong chân lý. Như anh em đã thụ giáo cùng Êpaphra là đồng liêu rất yêu dấu của chúng tôi, là kẻ trung tín giúp việc Ðức Giêsu Kitô thay cho chúng tôi. Ông cũng đã tỏ cho chúng tôi biết lòng yêu mến của anh em trong Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 51, 10. 11","response":"Ðáp: Tôi tin cậy vào lượng từ bi Chúa tới muôn đời","verses":["Xướng: Phần tôi như cây ô-liu xanh tốt trong nhà Thiên Chúa; tôi tin cậy vào lượng từ bi Chúa tới muôn đời.","Xướng: Tôi sẽ ca ngợi Chúa muôn đời vì Chúa đã hành động, và tôi sẽ chúc tụng danh Ngài, vì danh Ngài thiện hảo trước mặt chư tín hữu."]},"alleluia":{"verse":"2 Tm 1, 10b","content":"alleluia! – Ðấng Cứu Chuộc chúng ta là Ðức Giêsu Kitô, đã dùng Tin Mừng tiêu diệt sự chết, và chiếu soi sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 4, 38-44","info":"“Ta còn phải rao giảng Tin Mừng cho các thành khác, bởi chính vì thế mà Ta đã được sai đến”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu chỗi dậy ra khỏi hội đường, Người đến nhà Simon. Nhạc mẫu ông Simon phải cơn sốt nặng, và người ta xin Người chữa bà ấy. Người đứng bên bà, truyền lệnh cho cơn sốt, và cơn sốt biến khỏi bà. Tức thì bà chỗi dậy, và dọn bữa hầu các ngài. Khi mặt trời lặn, mọi người có bệnh nhân đau những chứng bệnh khác nhau, đều dẫn họ đến cùng Người. Người đặt tay trên từng bệnh nhân, và chữa họ lành. Các quỷ xuất khỏi nhiều người và kêu lên rằng: “Ông là Con Thiên Chúa”. Nhưng Người quát bảo không cho chúng nói, vì chúng biết chính Người là Ðức Kitô.\rÐến sáng, Người ra đi vào hoang địa, dân chúng liền đi tìm đến cùng Người, họ cố cầm giữ Người lại, kẻo Người rời bỏ họ. Người bảo họ rằng: “Ta còn phải rao giảng Tin Mừng nước Thiên Chúa cho những thành khác, bởi chính vì thế mà Ta đã được sai đến”. Và Người giảng dạy trong các hội đường xứ Giuđêa.","end":"Ðó là lời Chúa"}},
+        "5224": {"firstReading":{"excerpt":"(Năm I) Cl 1, 9-14","info":"“Người đã cứu chúng ta thoát khỏi quyền lực u tối, và đem chúng ta vào nước Con yêu dấu của Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, từ ngày chúng tôi nghe biết về anh em, chúng tôi không ngừng cầu nguyện cho anh em, xin cho anh em được đầy sự hiểu biết thánh ý Chúa, với tất cả sự khôn ngoan và sự thông hiểu thiêng liêng, để anh em ăn ở xứng đáng đẹp lòng Thiên Chúa trong mọi sự, và sinh hoa kết quả trong mọi việc lành, cùng phát triển trong sự nhận biết Thiên Chúa. Ðược củng cố bằng một sức mạnh dồi dào, chiếu theo quyền năng cả sáng của Người, anh em nhẫn nại và vui mừng khoan dung trong mọi sự. Anh em cảm tạ Chúa Cha, Ðấng đã làm cho anh em xứng đáng lãnh phần gia nghiệp các thánh trong ánh sáng. Người đã cứu chúng ta thoát khỏi quyền lực u tối, đem chúng ta về nước Con yêu dấu của Người, trong Ngài chúng ta được ơn cứu rỗi nhờ máu Ngài, và được ơn tha tội.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 2-3ab. 3cd-4. 5-6","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người","verses":["Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân Người tỏ rõ đức công minh. Người nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca.","Xướng: Hãy ca mừng Chúa với cây đàn cầm, với cây đàn cầm với điệu nhạc du dương, cùng với tiếng kèn râm ran, tiếng tù và rúc, hãy hoan hô trước thiên nhan Chúa là Vua."]},"alleluia":{"verse":"2 Tx 2, 14","content":"alleluia! – Thiên Chúa đã dùng Tin Mừng mà kêu gọi chúng ta, để chúng ta được chiếm lấy vinh quang của Ðức Giêsu Kitô, Chúa chúng ta. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Các anh hãy theo tôi, tôi sẽ làm cho các anh thành những kẻ lưới người như lưới cá. – Alleluia."},"gospel":{"excerpt":"Lc 5, 1-11","info":"“Các ông đã từ bỏ mọi sự mà đi theo Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, dân chúng chen nhau lại gần Chúa Giêsu để nghe lời Thiên Chúa, lúc đó Người đứng ở bờ hồ Ghênêsarét. Người trông thấy hai chiếc thuyền đậu gần bờ; những người đánh cá đã ra khỏi thuyền và họ đang giặt lưới. Người xuống một chiếc thuyền, thuyền đó của ông Simon, và Người xin ông đưa ra khỏi bờ một chút. Rồi Người ngồi trên thuyền, giảng dạy dân chúng.\rVừa giảng xong, Người bảo ông Simon rằng: “Hãy đẩy thuyền ra chỗ nước sâu và thả lưới bắt cá”. Ông Simon thưa Người rằng: “Thưa Thầy, chúng con đã cực nhọc suốt đêm mà không được gì hết; nhưng vì lời Thầy, con sẽ thả lưới”. Các ông đã thả lưới và bắt được rất nhiều cá; lưới các ông hầu như bị rách. Bấy giờ các ông làm hiệu cho các bạn đồng nghiệp ở thuyền bên cạnh đến giúp đỡ các ông. Những người này tới, họ đổ cá đầy hai chiếc thuyền, đến nỗi những thuyền chở nặng gần chìm.\rThấy thế, ông Simon sụp lạy dưới chân Chúa Giêsu và thưa Người rằng: “Lạy Chúa, xin Chúa hãy tránh xa con, vì con là người tội lỗi”. Ông kinh ngạc và tất cả mọi người ở đó với ông cũng kinh ngạc trước mẻ cá mà các ông vừa mới bắt được; cả ông Giacôbê và Gioan, con ông Giêbêđê, bạn đồng nghiệp với ông Simon cũng thế. Nhưng Chúa Giêsu phán bảo ông Simon rằng: “Ðừng sợ hãi: từ đây con sẽ là kẻ chinh phục người ta”. Bấy giờ các ông đưa thuyền vào bờ, và đã từ bỏ mọi sự mà đi theo Người.","end":"Ðó là lời Chúa"}},
+        "5225": {"firstReading":{"excerpt":"(Năm I) Cl 1, 15-20","info":"“Mọi vật đã được tạo thành nhờ Người và trong Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Ðức Giêsu Kitô là hình ảnh của Thiên Chúa vô hình, là trưởng tử mọi tạo vật, vì trong Người, muôn loài trên trời dưới đất đã được tác thành, mọi vật hữu hình và vô hình, dù là các Bệ thần hay Quản thần, dù là Chủ thần hay Quyền thần: Mọi vật đã được tạo thành nhờ Người và trong Người. Và Người có trước mọi loài, và mọi loài tồn tại trong Người. Người là đầu thân thể, tức là Hội thánh, là nguyên thuỷ và là trưởng tử giữa kẻ chết, để Người làm bá chủ mọi loài. Vì chưng, Thiên Chúa đã muốn đặt tất cả viên mãn nơi Người, và Thiên Chúa đã giao hoà vạn vật nhờ Người và vì Người; nhờ máu Người đổ ra trên thập giá, Thiên Chúa ban hoà bình trên trời dưới đất.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","response":"Ðáp: Hãy vào trước thiên nhan với lòng hân hoan khoái trá (c. 2c).","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Thiên Chúa, hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan với lòng hân hoan khoái trá","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người, ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Hãy vào trụ quan nhà Người với lời khen ngợi, vào hành lang với khúc ca vui, hãy tán dương, hãy chúc tụng danh Người.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn muôn thế hệ."]},"alleluia":{"verse":"Cl 3, 16a và 17c","content":"alleluia! – Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em; anh em hãy nhờ Ðức Kitô mà tạ ơn Thiên Chúa Cha. – Alleluia."},"gospel":{"excerpt":"Lc 5, 33-39","info":"“Khi tân lang phải đem đi khỏi họ, bấy giờ họ ăn chay”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người biệt phái và luật sĩ nói với Chúa Giêsu rằng: “Tại sao môn đồ của Gioan năng ăn chay và cầu nguyện, cả môn đồ của những người biệt phái cũng vậy, còn môn đệ của Thầy lại cứ ăn uống?” Người đáp lại rằng: “Các ông có thể bắt các bạn hữu đến dự tiệc cưới, ăn chay, đang khi tân lang còn ở với họ chăng? Nhưng sẽ đến những ngày mà tân lang phải đem đi khỏi họ, bấy giờ họ sẽ ăn chay trong những ngày ấy”.\rNgười còn nói với họ thí dụ này rằng: “Không ai xé miếng vải áo mới mà vá vào áo cũ; chẳng vậy, áo mới đã bị xé, mà mảnh vải áo mới lại không ăn hợp với áo cũ. Cũng chẳng ai đổ rượu mới vào bầu da cũ; chẳng vậy, rượu mới sẽ làm vỡ bầu da, rượu chảy ra và bầu da hư mất. Nhưng rượu mới phải đổ vào bầu da mới, thì giữ được cả hai. Và không ai đang uống rượu cũ mà lại thèm rượu mới, vì người ta nói: ‘Rượu cũ thì ngon hơn”.","end":"Ðó là lời Chúa"}},
+        "5226": {"firstReading":{"excerpt":"(Năm I) Cl 1, 21-23","info":"“Người đã giao hoà anh em, để làm cho anh em nên thánh thiện và tinh tuyền”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, xưa kia anh em là những kẻ xa lạ và thù nghịch trong tư tưởng và trong hành động xấu xa. Nhưng hiện nay, Thiên Chúa đã giao hoà anh em trong xác thịt của Ðức Kitô, nhờ cái chết của Người, làm cho anh em nên thánh thiện, tinh tuyền, không có gì đáng trách trước mặt Người, miễn là anh em được xây dựng, kiên trì trong đức tin, bền vững và không lay chuyển khỏi lòng trông cậy vào Tin Mừng, mà anh em đã được nghe biết và đã được loan báo cho mọi tạo vật dưới bầu trời, là Tin Mừng mà chính tôi, Phaolô, là người phục vụ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 53, 3-4. 6 và 8","response":"Ðáp: Kìa, Thiên Chúa phù trợ tôi","verses":["Xướng: Ôi Thiên Chúa, xin cứu sống con nhân danh Ngài, và xin sử dụng uy quyền phán quyết cho con! Ôi Thiên Chúa, xin nghe tiếng con cầu, xin lắng tai nghe lời miệng con xin.","Xướng: Kìa, Thiên Chúa phù trợ tôi, Chúa đang nâng đỡ tâm hồn tôi. Con sẽ tự nguyện hiến dâng lễ vật lên Chúa, lạy Chúa, con sẽ ca tụng danh Ngài, vì danh Ngài thiện hảo."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi giới răn Chúa được lập ra cho tới muôn ngàn đời. – Alleluia."},"gospel":{"excerpt":"Lc 6, 1-5","info":"“Tại sao các ông làm điều không được phép làm trong ngày Sabbat?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong một ngày Sabbat, khi Chúa Giêsu đi qua đồng lúa, thì các môn đệ bứt bông lúa miến, vò xát trong tay, rồi ăn. Có mấy người biệt phái nói với các ông rằng: “Tại sao các ông làm điều không được phép làm trong ngày Sabbat?” Chúa Giêsu trả lời họ rằng: “Các ông chưa đọc điều Ðavit đã làm khi ông và các người tuỳ tùng bị đói sao? Ngài đã vào đền thờ Thiên Chúa, lấy bánh dâng hiến mà ăn và cho các người bạn tuỳ tùng ăn, bánh đó họ không được phép ăn, nhưng chỉ dành cho các trưởng tế mà thôi”. Và Người bảo họ rằng: “Con Người làm chủ cả ngày Sabbat”.","end":"Ðó là lời Chúa"}},
+        "5231": {"firstReading":{"excerpt":"(Năm I) Cl 1, 24 – 2, 3","info":"“Tôi đã được trở thành người phục vụ Hội thánh để rao giảng mầu nhiệm ẩn giấu từ muôn thuở”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Cô-lô-xê.","content":"Anh em thân mến, hiện nay tôi vui sướng trong những đau khổ tôi phải chịu vì anh em. Tôi bổ khuyết nơi thân xác tôi những gì còn thiếu sót trong cuộc thương khó của Ðức Kitô, để Hội thánh là thân xác của Người được nhờ. Tôi đã được trở thành người phục vụ Hội thánh, theo sự an bài của Thiên Chúa đã trao phó cho tôi rao giảng đầy đủ lời Chúa, đó là mầu nhiệm ẩn giấu từ muôn thuở qua muôn thế hệ, nhưng nay đã được tỏ bày cho các thánh của Người. Thiên Chúa muốn tỏ bày cho họ biết thế nào là sự phong phú vinh quang của mầu nhiệm nơi dân ngoại, tức là Ðức Kitô trong anh em, Người là niềm hy vọng vinh quang. Tôi loan báo Người, cảnh tỉnh mọi người, đem tất cả khôn ngoan mà dạy dỗ mọi người, để làm cho mọi người nên hoàn hảo trong Ðức Giêsu Kitô. Chính vì lẽ đó, tôi khó nhọc chiến đấu nhờ vào năng lực mà Người hành động mạnh mẽ trong tôi. Vì chưng, tôi muốn anh em nhận thấy tôi lo lắng biết bao cho anh em và cho những người ở Laođicêa, và cho những ai chưa hề thấy mặt tôi tận mắt, để lòng họ được an ủi, và khi được giáo huấn trong đức mến, họ được dư đầy sự thông hiểu là được nhận biết mầu nhiệm Thiên Chúa Cha và Ðức Kitô Giêsu, nơi Người tiềm ẩn mọi kho tàng khôn ngoan và thông hiểu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 61, 6-7. 9","response":"Ðáp: Vinh dự và an toàn của tôi ở nơi Thiên Chúa (c. 8a).","verses":["Xướng: Duy nơi Thiên Chúa, hỡi linh hồn tôi, hãy an vui, vì do chính Người, tôi được ơn cứu độ. Phải, chính Chúa là Ðá Tảng, là ơn cứu độ của tôi, Người là chiến luỹ của tôi, tôi sẽ không hề nao núng.","Xướng: Hỡi dân tộc, hãy trông cậy Người luôn mọi lúc; hãy đổ giốc niềm tâm sự trước nhan Người, vì Thiên Chúa là nơi ta nương náu."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Lc 6, 6-11","info":"“Các ông quan sát xem Người có chữa lành bệnh trong ngày Sabbat không”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vào một ngày Sabbat, Chúa Giêsu vào hội đường và giảng dạy. Khi ấy ở đó có một người tay hữu bị khô bại. Những luật sĩ và biệt phái quan sát xem Người có chữa lành người ấy trong ngày Sabbat không, để có cớ tố cáo Người. Nhưng Người biết tư tưởng các ông, liền bảo người có tay khô bại rằng: “Ngươi hãy chỗi dậy mà đứng ra giữa đây”. Người đó đứng thẳng dậy. Ðoạn Chúa Giêsu bảo các ông ấy rằng: “Tôi hỏi các ông, ngày Sabbat được phép làm sự lành hay sự dữ, cứu sống hay là giết chết?” Rồi đưa mắt nhìn mọi người, Chúa bảo người đó rằng: “Ngươi hãy giơ tay ra”. Người ấy giơ ra, và tay người ấy được lành.\rBấy giờ các ông đầy lòng tức giận, và bàn định với nhau xem có thể làm gì được Chúa Giêsu.","end":"Ðó là lời Chúa"}},
+        "5232": {"firstReading":{"excerpt":"(Năm I) Cl 2, 6-15","info":"“Chúa đã cho anh em được chung sống với Người, Người đã ân xá mọi tội lỗi của anh em”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Cô-lô-xê.","content":"Anh em thân mến, như anh em đã nhận lãnh Chúa Giêsu Kitô, anh em hãy sống trong Người, hãy đâm rễ và xây dựng trong Người, và kiên trì trong lòng tin, như anh em đã học biết, hãy đầy lòng cảm tạ trong Người.\rAnh em hãy cẩn thận, đừng để ai lấy triết lý và những mánh khoé gian giảo mà lừa dối anh em, theo truyền thống loài người, theo những yếu tố phàm trần, chứ không theo Ðức Kitô; nơi Người chứa đựng tất cả sự viên mãn của bản tính Thiên Chúa, và trong Người, anh em cũng được sung mãn, chính Người là Ðầu mọi thủ lãnh và quyền năng. Trong Người, anh em đã chịu cắt bì, một phép cắt bì không do tay người phàm cất khỏi xác thịt, nhưng là phép cắt bì của Ðức Kitô. Nhờ phép rửa tội, anh em đã được mai táng làm một với Ðức Kitô, anh em cũng được sống lại với Người, bởi đã tin vào quyền năng Thiên Chúa, Ðấng đã cho Người từ cõi chết sống lại.\rAnh em vốn đã chết vì tội lỗi anh em và bởi không cắt bì tính xác thịt của anh em, (nhưng) Thiên Chúa đã cho anh em được chung sống với Người. Người đã ân xá mọi tội lỗi chúng ta, đã huỷ bỏ văn tự bất lợi cho chúng ta, vì (nó) làm cho chúng ta bị kết án; Người đã huỷ bỏ bản văn tự đó bằng cách đóng đinh nó vào thập giá. Người đã tước quyền những kẻ chấp chính và những kẻ cầm quyền. Người đã mạnh bạo điệu chúng ra và toàn thắng chúng trong bản thân Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 1-2. 8-9. 10-11","response":"Ðáp: Chúa hảo tâm với hết mọi loài (c. 9a).","verses":["Xướng: Lạy Chúa con, lạy Thiên Chúa, con sẽ ca khen Chúa, và con sẽ chúc tụng danh Chúa tới muôn đời. Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời.","Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống. Anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Lc 6, 12-19","info":"“Suốt đêm, Người cầu nguyện, Người chọn mười hai vị mà Người gọi là Tông đồ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy, Chúa Giêsu lên núi cầu nguyện, và suốt đêm, Người cầu nguyện cùng Thiên Chúa. Sáng ngày, Người gọi các môn đệ và chọn mười hai vị mà Người gọi là Tông đồ: Ðó là Simon, mà Người đặt tên là Phêrô, và em ông là Anrê, Giacôbê và Gioan, Philipphê và Bartôlômêô, Matthêu và Tôma, Giacôbê con ông Alphê và Simon cũng gọi là Nhiệt Thành, Giuđa con ông Giacôbê và Giuđa Iscariốt là kẻ phản bội.\rNgười đi xuống với các ông, và dừng lại trên một khoảng đất bằng phẳng, có nhóm đông môn đệ cùng đoàn lũ dân chúng đông đảo từ khắp xứ Giuđêa, Giêrusalem và miền duyên hải Tyrô và Siđôn đến nghe Người giảng và để được chữa lành mọi bệnh tật. Cả những người bị quỷ ô uế hành hạ cũng được chữa khỏi, và tất cả đám đông tìm cách chạm tới Người, vì tự nơi Người phát xuất một sức mạnh chữa lành mọi người.","end":"Ðó là lời Chúa"}},
+        "5233": {"firstReading":{"excerpt":"(Năm I) Cl 3, 1-11","info":"“Anh em đã chết với Ðức Kitô. Vậy anh em hãy kiềm chế các chi thể anh em”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, nếu anh em đã sống lại với Ðức Kitô, anh em hãy tìm những sự trên trời, nơi Ðức Kitô ngự bên hữu Thiên Chúa. Anh em hãy nghĩ đến những sự trên trời, chứ đừng nghĩ đến những sự dưới đất. Vì anh em đã chết, và sự sống anh em được ẩn giấu với Ðức Kitô trong Thiên Chúa. Khi Ðức Kitô là sự sống anh em xuất hiện, bấy giờ anh em sẽ xuất hiện với Người trong vinh quang.\rVậy anh em hãy kiềm chế các chi thể anh em, tức là những điều trần tục: là sự gian dâm, ô uế, dục tình, đam mê xấu xa và hà tiện, tức là sự thờ phượng thần tượng. Vì những tội ấy mà cơn thịnh nộ của Thiên Chúa giáng xuống trên những người con phản nghịch. Xưa kia anh em cũng đã sống trong những tội ấy, khi anh em sống trong những thói hư nết xấu đó. Nhưng bây giờ, anh em hãy loại bỏ tất cả những điều đó, là sự giận dữ, phẫn nộ, độc ác, phạm thượng, và lời tục tĩu bởi miệng anh em. Anh em chớ nói dối với nhau; anh em hãy lột bỏ người cũ cùng các việc làm của nó, và mặc lấy người mới, con người được đổi mới theo hình ảnh của Ðấng đã tạo thành nó: ở đấy không còn Hy-lạp hay Do-thái, cắt bì hay không cắt bì, người man rợ hay người Scytha, nô lệ hay tự do nữa; nhưng Ðức Kitô là mọi sự và ở trong mọi sự.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 2-3. 10-11. 12-13ab","response":"Ðáp: Chúa hảo tâm với hết mọi loài (c. 9).","verses":["Xướng: Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời. Chúa vĩ đại và rất đáng ngợi khen, sự vĩ đại của Chúa không thể đo lường được.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Ðể con cái loài người nhận biết quyền năng và vinh quang cao cả nước Chúa. Nước Ngài là nước vĩnh cửu muôn đời; chủ quyền Ngài tồn tại qua muôn thế hệ."]},"alleluia":{"verse":"Ep 1, 17-18","content":"alleluia! – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia. (Hoặc đọc: ) Alleluia. alleluia! – Chúa nói: Anh em hãy vui mừng nhảy múa, vì này đây phần thưởng dành cho anh em ở trên trời thật lớn lao.- Alleluia."},"gospel":{"excerpt":"Lc 6, 20-26","info":"“Phúc cho những kẻ nghèo khó. Khốn cho các ngươi là kẻ giàu có”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đưa mắt nhìn các môn đệ và nói: “Phúc cho các ngươi là những kẻ nghèo khó, vì nước Thiên Chúa là của các ngươi. Phúc cho các ngươi là những kẻ bây giờ đói khát, vì các ngươi sẽ được no đầy. Phúc cho các ngươi là những kẻ bây giờ phải khóc lóc, vì các ngươi sẽ được vui cười. Phúc cho các ngươi, nếu vì Con Người mà người ta thù ghét, trục xuất và phỉ báng các ngươi, và loại trừ các ngươi như kẻ bất lương, ngày ấy các ngươi hãy hân hoan và reo mừng, vì như thế, phần thưởng các ngươi sẽ bội hậu trên trời. Chính cha ông họ cũng đã đối xử với các tiên tri y như thế.\r“Nhưng khốn cho các ngươi là kẻ giàu có, vì các ngươi hiện đã được phần an ủi rồi. Khốn cho các ngươi là kẻ đã được no nê đầy đủ, vì các ngươi sẽ phải đói khát. Khốn cho các ngươi là kẻ hiện đang vui cười, vì các ngươi sẽ ưu sầu khóc lóc. Khốn cho các ngươi khi mọi người đều ca tụng các ngươi, vì chính cha ông họ cũng từng đối xử như vậy với các tiên tri giả”.","end":"Ðó là lời Chúa"}},
+        "5234": {"firstReading":{"excerpt":"(Năm I) Cl 3, 12-17","info":"“Anh em hãy có đức yêu thương, đó là dây ràng buộc điều toàn thiện”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Côlôxê.","content":"Anh em thân mến, như những người được chọn của Thiên Chúa, những người thánh thiện và được yêu thương, anh em hãy mặc lấy những tâm tình từ bi, nhân hậu, khiêm cung, ôn hoà, nhẫn nại, chịu đựng lẫn nhau, và hãy tha thứ cho nhau, nếu người này có chuyện phải oán trách người kia. Như Chúa đã tha thứ cho anh em, anh em cũng hãy tha thứ cho nhau. Và trên hết mọi sự, anh em hãy có đức yêu thương, đó là dây ràng buộc điều toàn thiện.\rNguyện cho bình an của Chúa Kitô làm chủ trong lòng anh em, sự bình an mà anh em đã được kêu gọi tới để làm nên một thân thể. Anh em hãy cảm tạ Thiên Chúa. Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em.\rVới tất cả sự khôn ngoan, anh em hãy học hỏi và nhủ bảo lẫn nhau. Hãy dùng những bài thánh vịnh, thánh thi và thánh ca của Thần khí, cùng với lòng tri ân, để hát mừng Thiên Chúa trong lòng anh em. Và tất cả những gì anh em làm, trong lời nói cũng như trong hành động, tất cả mọi chuyện, anh em hãy làm vì danh Chúa Giêsu Kitô, nhờ Người mà tạ ơn Thiên Chúa Cha.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 150, 1-2. 3-4. 5-6","response":"Ðáp: Phàm vật chi có hơi thở, hãy ngợi khen Thiên Chúa (c. 6).","verses":["Xướng: Hãy ngợi khen Chúa trong thánh đài của Chúa, ngợi khen Chúa nơi thanh không cao cả của Người. Hãy ngợi khen Người vì những kỳ công vĩ đại, ngợi khen Người bởi sự Người tuyệt đối oai nghiêm.","Xướng: Hãy ngợi khen Chúa với tiếng kèn rầm rộ, ngợi khen Người với cây đàn sắt, đàn cầm, hãy ngợi khen Người với trống rung và ca vũ, ngợi khen Người với tơ đàn, với ống tiêu.","Xướng: Hãy ngợi khen Người với âm vang não bạt, ngợi khen Người với tiếng rền rĩ mã-la. Phàm vật chi có hơi thở, hãy ngợi khen Thiên Chúa."]},"alleluia":{"verse":"2 Cr 5, 19","content":"alleluia! – Thiên Chúa ở trong Ðức Kitô đã giải hoà thế gian với Người, và đã đặt lời giải hoà trên môi miệng chúng tôi. – Alleluia."},"gospel":{"excerpt":"Lc 6, 27-38","info":"“Các con hãy tỏ lòng thương xót như Cha các con hay thương xót”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy bảo các con đang nghe Thầy đây: Các con hãy yêu kẻ thù, hãy làm ơn cho những kẻ ghét mình, hãy chúc phúc cho những kẻ nguyền rủa mình, hãy cầu nguyện cho những kẻ vu khống mình. Ai vả con má bên này, thì đưa cả má bên kia; ai lột áo ngoài của con, thì con cũng đừng cản nó lấy áo trong. Ai xin, thì con hãy cho, và ai lấy gì của con, thì đừng đòi lại.\rCác con muốn người ta làm điều gì cho các con, thì hãy làm cho người ta như vậy. Nếu các con yêu những kẻ yêu các con, thì còn ân nghĩa gì nữa? Vì cả những người tội lỗi cũng yêu những ai yêu họ. Và nếu các con làm ơn cho những kẻ làm ơn cho các con, thì còn ân nghĩa gì? Cả những người tội lỗi cũng làm như vậy. Và nếu các con cho ai vay mượn mà trông người ta trả lại, thì còn ân nghĩa gì? Cả những người tội lỗi cũng cho những kẻ tội lỗi vay mượn để rồi được trả lại sòng phẳng.\rVậy các con hãy yêu kẻ thù, hãy làm ơn và cho vay mượn mà không trông báo đền. Phần thưởng của các con bấy giờ sẽ lớn lao, và các con sẽ là con cái Ðấng Tối Cao, vì Người nhân hậu với những kẻ bội bạc và những kẻ gian ác.\rVậy các con hãy ở nhân từ như Cha các con là Ðấng nhân từ. Ðừng xét đoán, thì các con sẽ khỏi bị xét đoán; đừng kết án, thì các con khỏi bị kết án. Hãy tha thứ, thì các con sẽ được thứ tha. Hãy cho, thì sẽ cho lại các con; người ta sẽ lấy đấu hảo hạng, đã dằn, đã lắc và đầy tràn mà đổ vào vạt áo các con. Vì các con đong đấu nào, thì cũng sẽ được đong trả lại bằng đấu ấy”.","end":"Ðó là lời Chúa"}},
+        "5235": {"firstReading":{"excerpt":"(Năm I) 1 Tm 1, 1-2. 12-14","info":"“Trước kia cha là kẻ nói phạm thượng, nhưng cha đã được Thiên Chúa thương xót”.","title":"Khởi đầu thư thứ nhất của Thánh Phaolô Tông đồ gửi cho Timôthêu.","content":"Phaolô, Tông đồ của Ðức Giêsu Kitô theo mệnh lệnh của Thiên Chúa, Ðấng Cứu Ðộ chúng ta, và của Ðức Giêsu Kitô, niềm hy vọng của chúng ta, gửi lời thăm Timôthêu, người con yêu dấu trong đức tin. Nguyện xin ân sủng, lòng từ bi và bình an của Thiên Chúa Cha, và của Ðức Giêsu Kitô, Chúa chúng ta, ở cùng con! Cha cảm tạ Ðấng đã ban sức mạnh cho cha, là Ðức Giêsu Kitô, Chúa chúng ta, vì Người đã kể cha là người trung tín, khi đặt cha thi hành chức vụ: dù trước kia cha là kẻ nói phạm thượng, bắt đạo và kiêu căng, nhưng cha đã được Thiên Chúa thương xót, vì cha vô tình làm những sự ấy trong lúc cha chưa tin. Nhưng ân sủng của Chúa chúng ta đã tràn lan dồi dào, cùng với đức tin và đức mến, trong Ðức Giêsu Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 11","response":"Ðáp: Lạy Chúa, Chúa là phần gia nghiệp của con (c. 5a).","verses":["Xướng: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa; con thưa cùng Chúa: “Ngài là Chúa tể con, Chúa là phần gia nghiệp và phần chén của con, chính Ngài nắm giữ vận mạng của con”.","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo, đó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Chúa sẽ chỉ cho con biết đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn muôn đời! – Ðáp."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 6, 39-42","info":"“Người mù có thể dẫn người mù được chăng?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Người mù có thể dẫn người mù được chăng? Cả hai lại không sa xuống hố ư? Môn đệ không trọng hơn Thầy; nếu môn đệ được giống như Thầy, thì kể là hoàn hảo rồi.\r“Sao ngươi nhìn cái rác trong mắt anh em, còn cái đà trong chính mắt ngươi thì lại không thấy? Sao ngươi có thể nói với người anh em: “Này anh, hãy để tôi lấy cái rác trong con mắt anh”, trong khi chính ngươi không nhìn thấy cái đà trong mắt ngươi. Hỡi kẻ giả hình, hãy lấy cái đà ra khỏi mắt mình trước đã, rồi bấy giờ ngươi sẽ trông rõ để lấy cái rác khỏi mắt anh em ngươi”.","end":"Ðó là lời Chúa"}},
+        "5236": {"firstReading":{"excerpt":"(Năm I) 1 Tm 1, 15-17","info":"“Người đã đến trong thế gian này để cứu độ những người tội lỗi”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Lời nói chân thật và đáng tiếp nhận mọi đàng là: Ðức Giêsu Kitô đã đến trong thế gian này, để cứu độ những người tội lỗi, trong số ấy, cha là người thứ nhất. Vì thế, cha được hưởng nhờ ơn thương xót, là Ðức Giêsu Kitô tỏ ra tất cả lòng khoan dung trong cha trước hết, để nêu gương cho những ai sẽ tin vào Người hầu được sống đời đời. (Nguyện) danh dự và vinh quang (quy về) Thiên Chúa độc nhất, hằng sống, vô hình, là Vua muôn đời! Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5a và 6-7","response":"Ðáp: Nguyện danh Chúa được chúc tụng đến muôn đời (x. c. 2).","verses":["Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa. Nguyện danh Chúa được chúc tụng từ bây giờ và cho đến muôn đời.","Xướng: Từ mặt trời mọc lên tới khi lặn xuống, nguyện cho danh Chúa được ngợi khen. Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời, là vinh quang của Chúa.","Xướng: Ai được như Thiên Chúa chúng tôi, Người để mắt nhìn coi khắp cả trên trời dưới đất? Người nâng kẻ hèn hạ lên khỏi trần ai, và rước người nghèo khó khỏi nơi phẩn thổ."]},"alleluia":{"verse":"x. Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 6, 43-49","info":"“Tại sao các con gọi Thầy “Lạy Chúa, lạy Chúa”, mà không thi hành điều Thầy dạy bảo?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không có cây nào tốt mà sinh trái xấu, và cũng không có cây nào xấu mà sinh trái tốt. Thật vậy, cứ xem trái thì biết cây. Người ta không hái trái vả nơi bụi gai, và người ta cũng không hái trái nho nơi cây dâu đất. Người tốt phát ra điều tốt từ kho tàng tốt của lòng mình, và kẻ xấu phát ra điều xấu từ kho tàng xấu của nó, vì lòng đầy thì miệng mới nói ra. Tại sao các con gọi Thầy: “Lạy Chúa, lạy Chúa”, mà các con không thi hành điều Thầy dạy bảo? Ai đến cùng Thầy, thì nghe lời Thầy và đem ra thực hành. Thầy sẽ chỉ cho các con biết người ấy giống ai. Người ấy giống như người xây nhà: ông ta đào sâu và đặt nền móng trên đá. Khi có trận lụt, dù nước ùa vào nhà, cũng không làm cho nó lay chuyển, vì nhà đó được đặt nền trên đá. Trái lại, kẻ nghe mà không đem ra thực hành, thì giống như người xây nhà ngay trên mặt đất mà không có nền móng. Khi sóng nước ùa vào nhà, nó liền sụp đổ, và nhà đó bị hư hại nặng nề”.","end":"Ðó là lời Chúa"}},
+        "5241": {"firstReading":{"excerpt":"(Năm I) 1 Tm 2, 1-8","info":"“Cầu nguyện cùng Thiên Chúa cho mọi người. Ngài muốn mọi người được cứu độ”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Trước tiên, cha khuyên hãy cầu xin, khẩn nguyện, kêu van và tạ ơn cho mọi người: cho vua chúa, và tất cả những bậc vị vọng, để chúng ta được sống bằng yên vô sự, trong tinh thần đạo đức và thanh sạch. Ðó là điều tốt lành và đẹp lòng Ðấng Cứu Ðộ chúng ta là Thiên Chúa. Người muốn cho mọi người được cứu rỗi và đến nhận biết chân lý.\rVì chỉ có một Thiên Chúa, và một Ðấng Trung Gian giữa Thiên Chúa và loài người, là Ðức Giêsu Kitô, cũng là con người. Người đã phó Mình làm giá cứu chuộc thay cho mọi người, để nên chứng tá trong thời của Người, mà vì chứng tá đó, cha đã được đặt lên làm kẻ rao giảng, làm Tông đồ (cha nói thật chứ không nói dối), và làm Thầy dạy dân ngoại trong đức tin và chân lý.\rVậy cha muốn rằng những người đàn ông cầu nguyện trong mọi nơi, hãy giơ lên hai tay thanh sạch, không oán hờn và cạnh tranh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 27, 2. 7. 8-9","response":"Ðáp: Chúc tụng Chúa, bởi Ngài đã nghe tiếng tôi van nài","verses":["Xướng: Xin nghe tiếng con van nài, khi con kêu cầu tới Chúa, khi con giang tay hướng về thánh điện của Ngài.","Xướng: Chúa là mãnh lực và là khiên thuẫn của tôi, lòng tôi tin cậy vào Ngài và đã được Ngài cứu trợ, bởi thế tâm hồn tôi hoan hỉ và tôi xướng ca ngợi khen Ngài.","Xướng: Chúa là mãnh lực của dân Ngài, là chiến lũy bảo vệ mạng sống người Chúa đã xức dầu. Xin cứu sống dân tộc và chúc phúc cho phần gia nghiệp Chúa, xin hãy chăn nuôi họ, vinh thăng họ tới muôn đời."]},"alleluia":{"verse":"Gc 1, 18","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia."},"gospel":{"excerpt":"Lc 7, 1-10","info":"“Cả trong dân Israel, Ta cũng chẳng thấy lòng tin mạnh mẽ như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, lúc Chúa Giêsu đã nói với dân chúng xong, Người vào Capharnaum. Bấy giờ một viên sĩ quan có tên đầy tớ thân tín bị bệnh gần chết. Nghe nói về Chúa Giêsu, ông sai vài người kỳ lão Do-thái đi xin Người đến cứu chữa đầy tớ ông. Họ đến gần Chúa Giêsu và van xin Người rằng: “Ông ta đáng được Thầy ban cho ơn đó, vì thật ông yêu mến dân ta, và chính ông đã xây cất hội đường cho chúng ta”. Chúa Giêsu đi với họ, và khi Người còn cách nhà viên sĩ quan không bao xa, thì ông này sai mấy người bạn đến thưa Người rằng: “Lạy Thầy, không dám phiền Thầy hơn nữa, vì tôi không xứng đáng được Thầy vào nhà tôi, cũng như tôi nghĩ tôi không xứng đáng đi mời Thầy, nhưng xin Thầy phán một lời, thì đầy tớ tôi được lành mạnh. Vì tôi cũng chỉ là một sĩ quan cấp dưới, (tuy nhiên) tôi có những lính dưới quyền tôi, tôi bảo người này đi, thì nó đi; bảo người khác lại, thì nó lại; và bảo đầy tớ tôi làm cái này, thì nó làm”.\rNghe nói thế, Chúa Giêsu ngạc nhiên và quay lại nói với đám đông theo Người rằng: “Ta nói thật với các ngươi, cả trong dân Israel, Ta cũng chẳng thấy lòng tin mạnh mẽ như vậy”. Và những người được sai đi, khi về tới nhà, thấy tên đầy tớ lành mạnh.","end":"Ðó là lời Chúa"}},
+        "5242": {"firstReading":{"excerpt":"(Năm I) 1 Tm 3, 1-13","info":"“Vị chủ tịch giáo đoàn phải là người không ai trách cứ được: các vị phụ tá cũng vậy, phải nắm giữ mầu nhiệm đức tin trong lương tâm trong sạch”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Ðây là lời chân thật: Nếu ai ao ước chức chủ tịch giáo đoàn, thì đó là ước ao một nhiệm vụ tốt đẹp. Vậy vị chủ tịch giáo đoàn phải là người không có ai trách cứ được, người chỉ kết hôn một lần, ăn ở tiết độ, khôn ngoan, thanh lịch, đoan trang, hiếu khách, biết giảng dạy, không mê rượu chè, không gây gỗ, nhưng hoà nhã: không cạnh tranh, không tham lam, nhưng biết cai quản gia đình mình, dạy con cái biết vâng phục và tiết hạnh. Nếu ai không biết cai quản gia đình mình, thì làm sao coi sóc được cộng đoàn Thiên Chúa? Vị chủ tịch giáo đoàn không phải là tân tòng, kẻo cậy mình kiêu căng mà sa vào án phạt của ma quỷ. Người phải có tiếng tốt nơi người ngoại, kẻo bị ô danh và sa lưới ma quỷ.\rCũng thế, những người phụ tá phải đoan trang, không ăn nói nước đôi, không nghiện rượu, không tìm lợi cách đê tiện, nhưng phải nắm giữ mầu nhiệm đức tin trong lương tâm thanh sạch. Những kẻ ấy phải được thử thách trước, rồi nếu không có gì đáng trách, thì mới được phục vụ. Người phụ nữ cũng vậy, phải đoan trang, không nói hành, phải tiết độ và trung tín trong mọi sự. Các vị phụ tá phải là người chỉ kết hôn một lần: biết coi sóc con cái và nhà cửa mình. Vì những phụ tá khi thi hành đứng đắn chức vụ, sẽ được lên bậc cao trọng và sẽ đầy hiên ngang trong lòng tin vào Ðức Giêsu Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 100, 1-2ab. 2cd-3ab. 5. 6","response":"Ðáp: Con sẽ sống theo lòng vô tội","verses":["Xướng: Con sẽ ca ngợi tình thương và đức công minh, lạy Chúa, con sẽ đàn hát mừng Ngài. Con sẽ tiến thân trên đường liêm khiết, khi nào Chúa sẽ đến viếng thăm con?","Xướng: Con sẽ sống theo lòng vô tội trong nơi cung thất của con. Con sẽ không để bày ra trước mắt một chút chuyện chi gian trá.","Xướng: Ai bí mật nói xấu người lân cận, con sẽ tiêu diệt thứ người này. Hạng người mắt nhìn cao và lòng kiêu hãnh, hạng người đó con cũng không dung.","Xướng: Mắt con theo dõi những người trung thành trong đất nước, để họ cùng được cư ngụ với con. Ai sinh sống theo đường liêm khiết, con người đó sẽ được hầu hạ con."]},"alleluia":{"verse":"Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, con xưng tụng Cha, vì Cha đã mạc khải những mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia. Vị ngôn sứ vĩ đại đã xuất hiện giữa chúng ta, và Thiên Chúa đã viếng thăm dân Người.- Alleluia"},"gospel":{"excerpt":"Lc 7, 11-17","info":"“Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đến một thành gọi là Naim. Các môn đệ và đám đông dân chúng cùng đi với Người. Khi Người đến gần cửa thành, thì gặp người ta đang khiêng đi chôn người con trai duy nhất của một bà goá kia và có đám đông dân thành đi đưa xác với mẹ nó. Trông thấy bà, Chúa động lòng thương và bảo bà rằng: “Ðừng khóc nữa”. Ðoạn tiến lại gần, Người chạm đến quan tài và những người khiêng đứng lại. Bấy giờ Người phán: “Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”. Người chết liền ngồi lên và bắt đầu nói. Rồi Người trao lại cho mẹ nó.\rMọi người đều sợ hãi và ngợi khen Thiên Chúa rằng: “Một tiên tri cao cả đã xuất hiện giữa chúng ta, và Thiên Chúa đã thăm viếng dân Người”. Và việc này đã loan truyền danh tiếng Người trong toàn cõi Giuđêa và khắp vùng lân cận.","end":"Ðó là lời Chúa"}},
+        "5243": {"firstReading":{"excerpt":"(Năm I) 1 Tm 3, 14-16","info":"“Thật lớn lao thay mầu nhiệm của tình thương”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, cha viết cho con những điều này, cha hy vọng ngày gần đây sẽ đến gặp con. Nhưng nếu cha còn trì hoãn, thì thư này giúp cho con biết phải cư xử thế nào trong nhà Thiên Chúa, là Hội thánh Thiên Chúa hằng sống, là cột trụ và nền tảng chân lý. Rõ thực lớn lao thay mầu nhiệm của tình thương, là mầu nhiệm đã được tỏ hiện trong xác thịt, minh chính trong Thánh Thần tỏ hiện cho Thiên Thần, rao giảng cho Dân Ngoại, kính tin trong thế gian, siêu thăng trong vinh hiển.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 5-6","response":"Ðáp: Vĩ đại thay công cuộc của Chúa (c. 2a).","verses":["Xướng: Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi!","Xướng: Công cuộc của Chúa là sự hùng vĩ oai nghiêm, và đức công minh của Người muôn đời tồn tại. Chúa đã làm những điều lạ lùng đáng nhớ, Người thực là Ðấng nhân hậu từ bi.","Xướng: Chúa đã ban lương thực cho những ai tôn sợ Người, cho tới muôn đời Người vẫn nhớ lời minh ước. Chúa tỏ cho dân Người thấy công cuộc quyền năng của Người, hầu ban cho họ được phần sản nghiệp của chư dân."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Lc 7, 31-35","info":"“Chúng tôi đã thổi sáo mà các anh không nhảy múa, chúng tôi đã hát những điệu bi ai mà các anh không khóc”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán rằng: “Ta sẽ phải nói những người của thế hệ này giống ai đây? Họ giống ai? Họ giống như những đứa trẻ ngồi ngoài đường phố gọi và nói với nhau rằng:\r“Chúng tôi đã thổi sáo cho các anh, mà các anh không nhảy múa.\r“Chúng tôi đã hát những điệu bi ai, mà các anh không khóc”.\rBởi vì khi Gioan Tẩy Giả đến, không ăn bánh, không uống rượu, thì các ngươi bảo: “Người bị quỷ ám”. Khi Con Người đến có ăn có uống, thì các ngươi lại nói: “Kìa con người mê ăn tham uống, bạn bè với quân thu thuế và phường tội lỗi”. Nhưng sự khôn ngoan đã được minh chính bởi tất cả con cái mình”.","end":"Ðó là lời Chúa"}},
+        "5244": {"firstReading":{"excerpt":"(Năm I) 1 Tm 4, 12-16","info":"“Con hãy thận trọng giữ mình và giữ lấy giáo lý: như thế con sẽ cứu lấy chính mình con và những kẻ nghe lời con”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, chớ có ai khinh dể con vì con còn trẻ: nhưng con hãy nêu gương sáng cho các tín hữu, trong lời nói, cách ăn nết ở, trong đức bác ái, đức tin và đức thanh khiết. Cho tới khi cha đến, con hãy chăm chú đọc sách, khuyên bảo và dạy giáo lý. Con chớ quên lãng ân sủng trong con, là ơn đã ban cho con bởi lời tiên tri cùng với việc đặt tay của bậc Lão thành. Con hãy suy ngắm những sự đó, hãy để tâm đến các việc ấy, để mọi người đều thấy rõ con đã tiến tới. Con hãy thận trọng giữ mình và giữ lấy giáo lý: hãy kiên trì trong những việc ấy. Vì khi con làm như vậy, con sẽ cứu lấy chính mình con và những kẻ nghe lời con.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 7-8. 9. 10","response":"Ðáp: Vĩ đại thay công cuộc của Chúa (c. 2a).","verses":["Xướng: Công cuộc tay Chúa làm ra đều chân thật và công chính, mọi giới răn của người đều đáng cậy tin. Những giới răn đó được lập ra cho đến muôn ngàn đời, được ban hành một cách chân thành và đoan chính.","Xướng: Chúa đã gởi tặng ơn giải phóng cho dân Người, đã thiết lập lời minh ước tới muôn đời, danh Người thực là thánh thiện và khả úy!","Xướng: Ðầu sự khôn ngoan là tôn sợ Chúa, bao nhiêu người thờ Chúa đều hành động cách khôn ngoan. Lời khen ngợi Chúa còn tồn tại tới muôn đời."]},"alleluia":{"verse":"Tv 118, 135","content":"alleluia! – Xin tỏ cho tôi tớ Chúa thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 7, 36-50","info":"“Tội bà rất nhiều mà đã được tha rồi, vì bà đã yêu mến nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có một người biệt phái kia mời Chúa Giêsu đến dùng bữa với mình; Người vào nhà người biệt phái và vào bàn ăn. Chợt có một người đàn bà tội lỗi trong thành, nghe biết Người đang dùng bữa trong nhà người biệt phái, liền mang đến một bình bạch ngọc đựng thuốc thơm. Bấy giờ bà đứng phía chân Người, khóc nức nở, nước mắt ướt đẫm chân Người, bà lấy tóc lau, rồi hôn chân và xức thuốc thơm. Thấy thế, người biệt phái đã mời Người, tự nghĩ rằng: “Nếu ông này là tiên tri thì phải biết người đàn bà đang động đến mình là ai, và thuộc hạng người nào chứ: là một đứa tội lỗi (mà)!” Nhưng Chúa Giêsu lên tiếng bảo ông rằng: “Hỡi Simon, Tôi có điều muốn nói với ông”. Simon thưa: “Xin Thầy cứ nói”.\r“Một người chủ nợ có hai con nợ, một người nợ năm trăm đồng, người kia nợ năm mươi. Vì cả hai không có gì trả, nên chủ nợ tha cho cả hai. Vậy trong hai người đó, người nào sẽ yêu chủ nợ nhiều hơn?” Simon đáp: “Tôi nghĩ là kẻ đã được tha nhiều hơn”. Chúa Giêsu bảo ông: “Ông đã xét đoán đúng”.\rVà quay lại phía người đàn bà, Người bảo Simon: “Ông thấy người đàn bà này chứ? Tôi đã vào nhà ông, ông đã không đổ nước rửa chân Tôi, còn bà này đã lấy nước mắt rửa chân Tôi, rồi lấy tóc mình mà lau. Ông đã không hôn chào Tôi, còn bà này từ lúc vào không ngớt hôn chân Tôi. Ông đã không xức dầu trên đầu Tôi, còn bà này đã lấy thuốc thơm xức chân Tôi. Vì vậy, Tôi bảo ông, tội bà rất nhiều mà đã được tha rồi, vì bà đã yêu mến nhiều. Kẻ được tha ít, thì yêu mến ít”.\rRồi Người bảo người đàn bà: “Tội con đã được tha rồi”. Những người đồng bàn liền nghĩ trong lòng rằng: “Ông này là ai mà lại tha tội được?” Và Người nói với người đàn bà: “Ðức tin con đã cứu con, con hãy về bình an”.","end":"Ðó là lời Chúa"}},
+        "5245": {"firstReading":{"excerpt":"(Năm I) 1 Tm 6, 2c-12","info":"“Phần con, hỡi con người của Thiên Chúa, hãy theo đuổi đức công chính”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, con hãy giảng dạy và khuyên nhủ những điều này. Nếu ai giảng dạy điều chi khác lạ và không thành tín nắm giữ những lời giáo huấn lành mạnh của Chúa chúng ta, là Ðức Giêsu, và giáo lý phù hợp với đạo đức, thì người đó là kẻ mù quáng vì kiêu ngạo, không hiểu biết gì, nhưng mải mê về những chuyện bàn cãi và tranh chấp danh từ. Do đó phát sinh ra sự ghen tương, tranh chấp, lăng nhục, nghi ngờ với ác tâm, và những cuộc cãi cọ dai dẳng của những người hư hỏng tinh thần và thiếu thốn chân lý. Họ coi đạo đức là một nguồn lợi. Thực ra đạo đức là nguồn lợi lớn cho những ai biết bằng lòng với số phận mình. Bởi vì chúng ta đã không mang gì vào thế gian này, và chắc chắn chúng ta cũng không thể lấy ra được gì. Khi có cơm ăn và áo mặc, chúng ta hãy lấy thế làm bằng lòng. Còn như những kẻ muốn làm giàu, họ sa vào cơn cám dỗ, vào cậm bẫy và nhiều dục vọng điên rồ tác hại. Những cái đó làm con người ta chìm đắm vào chỗ điêu tàn và hư hỏng. Bởi chưng gốc rễ mọi sự dữ là lòng tham tiền bạc. Một số người vì đeo đuổi lòng tham này đã lạc mất đức tin và tự chuốc vào thân nhiều nỗi khổ đau.\rPhần con, hỡi người của Thiên Chúa, hãy trốn xa những chuyện đó. Hãy theo đuổi đức công chính, lòng đạo hạnh, đức tin, đức ái, đức nhẫn nại, đức hiền lành. Con hãy chiến đấu trong cuộc chiến đấu chính nghĩa của đức tin. Hãy cố đoạt lấy sự sống đời đời mà con đã được kêu gọi tới, và cũng vì đó, con đã mạnh dạn tuyên xưng đức tin trước mặt nhiều nhân chứng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 48, 6-7. 8-10. 17-18. 19-20","response":"Ðáp: Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ","verses":["Xướng: Tại sao tôi phải kinh hãi trong ngày tai hoạ, khi ác tâm quân thù mưu hại bao bọc quanh tôi? Bọn người này tin cậy vào tài sản, chúng tự hào vì có bạc vạn tiền muôn.","Xướng: Nhưng thực ra không ai tự cứu được bản thân, cũng không ai dâng được lên Chúa giá tiền thục mạng. Giá thục mạng quá đắt, không bao giờ có đủ, hầu mong sống mãi đời đời, không phải nhìn coi sự chết.","Xướng: Ðừng e ngại khi thấy ai giàu có, khi thấy tài sản nhà họ gia tăng: bởi lúc lâm chung, họ chẳng mang theo gì hết, và tài sản cũng không cùng họ chui xuống nấm mồ.","Xướng: Dầu khi còn sống họ ca tụng mình rằng: “Thiên hạ sẽ khen ngươi, vì ngươi biết khôn ngoan tự liệu”, họ sẽ tìm đến nơi đoàn tụ của tổ tiên, những người muôn thuở không được nhìn xem sự sáng."]},"alleluia":{"verse":"Tv 118, 36a và 29b","content":"alleluia! – Lạy Chúa, xin nghiêng lòng con theo lời Chúa răn bảo, và xin rộng tay ban luật pháp của Chúa cho con. – Alleluia."},"gospel":{"excerpt":"Lc 8, 1-3","info":"“Có mấy phụ nữ đi với Người và họ đã lấy của cải mình mà giúp Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa rảo qua các thành thị và xóm làng, giảng dạy và loan báo Tin Mừng nước Thiên Chúa. Có nhóm Mười Hai cùng đi với Người, cũng có cả mấy người phụ nữ đã được chữa khỏi tà thần và bệnh tật: là bà Maria cũng gọi là Mađalêna, người đã được trừ khỏi bảy quỷ ám, bà Gioanna vợ của Chusa, viên quản lý của Hêrôđê, bà Susanna và nhiều bà khác; những bà này đã lấy của cải mình mà giúp Người.","end":"Ðó là lời Chúa"}},
+        "5246": {"firstReading":{"excerpt":"(Năm I) 1 Tm 6, 13-16","info":"“Con hãy gìn giữ huấn lệnh cho tinh tuyền, cho tới ngày Chúa lại đến”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, cha chỉ thị cho con trước mặt Thiên Chúa, Ðấng làm cho muôn vật được sống, và trước mặt Ðức Giêsu Kitô, Ðấng đã làm trước mặt Phongxiô Philatô lời tuyên xưng thẳng thắn, con hãy giữ gìn huấn lệnh đó cho tinh tuyền và không thể trách được cho tới ngày Chúa chúng ta là Ðức Giêsu Kitô lại đến, mà tới thời đã định, Ðấng phúc lộc và quyền năng duy nhất sẽ tỏ ra Người là Thiên Chúa, Vua các vua và Chúa các chúa, Ðấng độc nhất trường sinh bất tử, Người ngự trong ánh sáng siêu phàm, không một ai trong loài người đã xem thấy, hay có thể xem thấy: Vinh dự và quyền năng (xin kính dâng) cho Người muôn đời. Amen!","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","response":"Ðáp: Hãy vào trước thiên nhan với lòng hân hoan khoái trá (c. 2c).","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Thiên Chúa, hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan với lòng hân hoan khoái trá.","Xướng: Hãy biết rằng Chúa là Thiên Chúa; chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người; ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Hãy vào trụ quan nhà Người với lời khen ngợi, vào hành lang với khúc ca vui; hãy tán dương, hãy chúc tụng danh Người.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn muôn thế hệ."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa, và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia. Hạnh phúc thay người thành tâm thiện chí, hằng ấp ủ lời Chúa trong lòng, nhờ kiên nhẫn mà sinh hoa kết quả. – Alleluia."},"gospel":{"excerpt":"Lc 8, 4-15","info":"“Hạt rơi trong đất tốt, là những người giữ lấy lời và nhờ kiên nhẫn, họ sinh được hoa trái”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có đông dân chúng tụ họp lại, và người ta từ các thị trấn đến cùng Chúa Giêsu. Người dùng dụ ngôn mà nói rằng: “Người gieo hạt giống ra đi gieo hạt giống mình. Và đang khi gieo, có hạt rơi xuống bên vệ đường, bị người ta chà đạp và chim trời đến ăn đi. Hạt khác rơi trên đá sỏi, vừa mọc lên liền héo đi, vì không có đất ẩm. Hạt khác rơi vào bụi gai, và gai góc cùng mọc lên, bóp nghẹt nó. Hạt khác rơi vào đất tốt, đã mọc lên và kết quả gấp trăm”.\rKhi nói những lời đó, Người kêu lên rằng: “Ai có tai để nghe thì hãy nghe!”. Bấy giờ các môn đệ hỏi Người dụ ngôn đó ý nghĩa thế nào. Người nói rằng: “Phần các con, thì cho các con biết những mầu nhiệm Nước Thiên Chúa; đối với người khác, thì dùng dụ ngôn, để chúng xem mà không thấy, nghe mà không hiểu. Dụ ngôn đó có nghĩa thế này: Hạt giống là lời Thiên Chúa. Những hạt rơi bên vệ đường, tức là những người đã nghe, nhưng rồi quỷ tới và cướp lời khỏi lòng họ, kẻo họ tin mà được cứu độ. Những hạt rơi trên đá sỏi là những người, khi nghe thì vui vẻ đón nhận lời Chúa, nhưng họ không đâm rễ, họ chỉ tin tưởng nhất thời, và khi đến giờ thử thách, thì tháo lui. Hạt rơi vào bụi gai, là những người đã nghe, nhưng khi đi đường, những mối lo nghĩ, sự giàu có và thú vui của đời sống bóp nghẹt và họ không sinh hoa kết quả. Còn như hạt rơi trong đất tốt, là những người nghe lời với tấm lòng tốt lành và thiện hảo, họ giữ lấy và nhờ kiên nhẫn, họ sinh được hoa trái”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year1-ordinary-5", {
+    "ORDINARY_Y1": {
+        "5251": {"firstReading":{"excerpt":"(Năm I) Esd 1, 1-6","info":"“Ai thuộc dân Chúa, hãy lên Giêrusalem và xây cất nhà Chúa”.","title":"Khởi đầu sách Esdra.","content":"Năm thứ nhất triều đại Kyrô vua nước Ba-tư, để ứng nghiệm lời Chúa đã phán bởi miệng Giêrêmia, Chúa giục lòng Kyrô vua nước Ba-tư, và ông truyền công bố bằng lời rao và sắc chỉ trong khắp nước rằng: “Ðây là lệnh của Kyrô vua nước Ba-tư: Chúa là Chúa Trời đã ban cho ta mọi nước trên mặt đất, chính Người truyền dạy ta phải xây cất cho Người một đền thờ ở Giêrusalem trong nước Giuđêa. Ai trong các ngươi thuộc về dân Người? Xin Thiên Chúa của nó ở cùng nó. Nó hãy lên Giêrusalem trong xứ Giuđêa, và xây cất nhà của Chúa là Thiên Chúa Israel, chính Người là Thiên Chúa ngự ở Giêrusalem. Và tất cả những người khác đang cư ngụ bất kỳ nơi nào, thì từ nơi mình ở, hãy giúp họ bằng vàng bạc, của cải và súc vật, đừng kể những gì tình nguyện dâng cho đền thờ Thiên Chúa ở Giêrusalem.\rCác trưởng tộc thuộc chi họ Giuđa, Bêngiamin, các tư tế, các thầy Lêvi và mọi người được Chúa thúc giục trong lòng, đều vùng dậy tiến lên, để xây cất đền thờ Chúa ở Giêrusalem. Toàn thể dân chúng sống trong vùng lân cận cũng tiếp tay giúp họ vàng bạc, của cải, súc vật, những đồ quý, không kể những gì họ tự ý dâng cúng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","response":"Ðáp: Chúa đã đối xử đại lượng với chúng tôi","verses":["Xướng: Khi Chúa đem những người Sion bị bắt trở về, chúng tôi dường như người đang mơ; bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: Chúa đã đối xử với họ cách đại lượng. Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan.","Xướng: Lạy Chúa, xin hãy đổi số phận của con, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo; họ trở về trong hân hoan, vai mang những bó lúa."]},"alleluia":{"verse":"Gc 1, 21","content":"alleluia! – Anh em hãy khiêm nhu nhận lãnh lời giao ước trong lòng; lời đó có thể cứu thoát linh hồn anh em. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Ánh sáng của anh em phải chiếu giãi trước mặt thiên hạ, để họ thấy những việc tốt đẹp anh em làm mà tôn vinh Cha của anh em. – Alleluia."},"gospel":{"excerpt":"Lc 8, 16-18","info":"“Ðặt đèn trên giá đèn, để những ai đi vào đều thấy sự sáng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Không ai thắp đèn rồi lấy hũ che lại, hay đặt dưới gầm giường: nhưng đặt nó trên giá đèn, để những ai đi vào đều thấy ánh sáng. Vì chẳng có gì kín nhiệm mà không bị tỏ ra, và không có gì ẩn giấu mà không bị lộ ra cho người ta biết. Vậy các ngươi hãy ý tứ xem các ngươi nghe thế nào! Vì ai có, sẽ được cho thêm; còn ai không có, cả điều mình tưởng có cũng sẽ bị lấy đi”.","end":"Ðó là lời Chúa"}},
+        "5252": {"firstReading":{"excerpt":"(Năm I) Esd 6, 7-8. 12b. 14-20","info":"“Họ hoàn tất việc xây cất nhà Chúa và mừng lễ Vượt Qua”.","title":"Bài trích sách Esdra.","content":"Trong những ngày ấy, (Vua Ðariô viết thư cho các vị tư lệnh vùng ở bên kia sông Euphrate mà nói rằng:) “Hãy để cho vị thủ lãnh người Do-thái và các kỳ lão của họ xây cất đền thờ của Thiên Chúa, để đền thờ của Thiên Chúa được xây cất chính nơi cũ. Ta cũng ra lệnh về việc các ngươi phải làm với các bậc Kỳ cựu Do-thái, để tái thiết nhà Thiên Chúa: là phải lấy của trong kho nhà vua, nghĩa là tiền nộp thuế của miền bên kia sông Euphrate, và cẩn thận phân phát cho những người ấy, để công việc không bị trì hoãn. Ta là Ðariô ra sắc chỉ này, ta muốn mọi người ân cần tuân giữ”.\rCác kỳ lão người Do-thái xây cất đền thờ và công việc tiến hành nhanh chóng, nhờ lời sấm của tiên tri Khác-gai và tiên tri Dacaria, con ông Ađđô: họ xây cất và hoàn thành theo lệnh Chúa Israel truyền dạy, và theo lệnh các vua nước Ba-tư là Kyrô, Ðariô và Artaxerxê. Họ hoàn tất việc xây cất nhà Thiên Chúa ngày mồng ba tháng Ađar, năm thứ sáu triều vua Ðariô. Vậy con cháu Israel, các tư tế, các thầy Lêvi, và những người lưu đày còn sống sót, đều vui mừng hiến thánh nhà Thiên Chúa. Trong lễ cung hiến nhà Thiên Chúa, họ dâng một trăm con bò, hai trăm con cừu, bốn trăm con chiên, và để làm lễ đền tội cho cả dân Israel, họ cũng dâng mười hai con dê theo số các chi tộc Israel. Rồi họ cắt đặt các thầy tư tế theo phẩm trật và các thầy Lêvi theo cấp bậc, để giúp việc đền thờ Thiên Chúa ở Giêrusalem, như đã chép trong sách của Môsê.\rNhững con cái Israel lưu đày về mừng lễ Vượt Qua ngày mười bốn tháng thứ nhất. Các thầy tư tế và Lêvi, tất cả như một, đều được thanh tẩy, tất cả đều trong sạch, để sát tế mừng lễ Vượt Qua cho toàn thể dân lưu đày và cho anh em tư tế của họ và chính mình họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”. Hỡi Giêrusalem, chân chúng tôi đang đứng nơi cửa thành rồi.","Xướng: Giêrusalem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc của Chúa tiến lên.","Xướng: Theo luật pháp của Israel, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ðavit."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay kẻ lắng nghe và tuân giữ lời Thiên Chúa.- Alleluia."},"gospel":{"excerpt":"Lc 8, 19-21","info":"“Mẹ và anh em Ta là những người nghe lời Thiên Chúa và đem ra thực hành”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, mẹ và anh em Chúa Giêsu đến tìm Người, nhưng vì đám đông, nên không thể đến gần Người được. Người ta báo tin cho Người rằng: “Có mẹ và anh em Thầy đứng ở ngoài muốn gặp Thầy”. Người trả lời với họ rằng: “Mẹ và anh em Ta là những người nghe lời Thiên Chúa và đem ra thực hành”.","end":"Ðó là lời Chúa"}},
+        "5253": {"firstReading":{"excerpt":"(Năm I) Esd 9, 5-9","info":"“Thiên Chúa không bỏ rơi chúng tôi trong cảnh nô lệ”.","title":"Trích sách Esdra.","content":"Tôi là Esdra, khi dâng lễ tế ban chiều, tôi vùng dậy khỏi cơn âu sầu, áo trong áo ngoài đều rách hết, tôi quỳ gối xuống, giơ tay lên Chúa là Thiên Chúa tôi mà thưa rằng: “Lạy Chúa, con hổ ngươi thẹn thuồng không dám ngước mặt lên cùng Chúa: vì những sự gian ác của chúng con chồng chất trên đầu chúng con, và tội lỗi chúng con cao lên tới trời. Kể từ thời cha ông chúng con cho tới ngày nay, tội lỗi chúng con đã quá nhiều, và vì sự gian ác của chúng con, nên chúng con, vua chúa, tư tế của chúng con, bị trao vào tay vua các dân ngoại, bị gươm đao, bị lưu đày, bị cướp bóc và bị thẹn mặt như ngày nay.\r“Và hiện giờ đây, Chúa vừa tạm ban cho chúng con một chút lòng thương xót, là để cho chúng con sống sót phần nào, và cho chúng con một nơi ẩn náu trong chốn thánh của Chúa, để soi sáng mắt chúng con, và ban cho chúng con một chút sự sống trong cảnh nô lệ của chúng con, vì chúng con là nô lệ mà Thiên Chúa không bỏ rơi chúng con trong cảnh nô lệ, nhưng Chúa đã khiến các vua Ba-tư thương xót chúng con, mà cho chúng con còn sống để chúng con xây cất nhà Thiên Chúa chúng con, tu bổ những nơi hoang tàn, và cho chúng con một chỗ ở trong xứ Giuđêa và tại Gierusalem”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tb 13, 2. 3-4. 6. 7. 8.","response":"Ðáp: Lạy Chúa, Chúa cao cả muôn đời (c. 1b).","verses":["Xướng: Chúa trừng phạt, rồi lại tha thứ. Chúa đẩy xuống âm phủ, rồi lại đem ra; và không một ai thoát khỏi tay Chúa.","Xướng: Bởi vì thế, Chúa đã phân tán các ngươi giữa các dân tộc không nhìn biết Chúa, để các ngươi tường thuật các việc kỳ diệu của Người, để các ngươi làm cho họ biết rằng ngoài Người ra, không có Thiên Chúa toàn năng nào khác.","Xướng: Hãy ngắm nhìn những việc Chúa làm cho chúng ta, hãy tuyên xưng Người với lòng cung kính và run sợ, hãy suy tôn vua muôn đời trong những việc làm của các ngươi.","Xướng: Tôi tuyên xưng Người nơi tôi bị lưu đày, vì Người tỏ ra uy quyền trước dân phạm tội.","Xướng: Hỡi tội nhân, hãy sám hối ăn năn, hãy thực hiện sự công chính trước mặt Thiên Chúa, hãy tin rằng Người tỏ lòng từ bi với các ngươi."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 9, 1-6","info":"“Người sai các ông đi rao giảng nước Thiên Chúa và chữa lành bệnh nhân”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu gọi mười hai Tông đồ lại, ban cho các ông sức mạnh và quyền năng trên mọi ma quỷ và được chữa lành các bệnh tật. Ðoạn Người sai các ông đi rao giảng nước Thiên Chúa và chữa lành bệnh nhân. Người bảo các ông rằng: “Khi đi đàng, các con đừng mang gì cả, chớ mang gậy và bị, bánh và tiền, cũng đừng mặc hai áo. Các con vào nhà nào, thì hãy ở lại đó, và đừng rời khỏi nơi ấy. Những ai không tiếp đón các con, thì khi rời bỏ thành đó, các con hãy giũ cả bụi chân lại, để làm chứng tố cáo họ”. Các ông liền đi rảo khắp các làng mạc, rao giảng Tin Mừng, và chữa lành bệnh tật khắp nơi.","end":"Ðó là lời Chúa"}},
+        "5254": {"firstReading":{"excerpt":"(Năm I) Kg 1, 1-8","info":"“Các ngươi hãy xây cất đền thờ và như thế sẽ đẹp lòng Ta”.","title":"Khởi đầu sách Tiên tri Khác-gai.","content":"Ngày mồng một tháng sáu năm thứ hai triều đại vua Ðariô, có lời Chúa sai tiên tri Khác-gai đến nói với Giorôbabel, con trai ông Giosêđec, thầy cả thượng phẩm những lời sau đây: “Ðây Chúa các đạo binh phán: Dân này nói: “Chưa đến lúc xây cất đền thờ Chúa”. Và có lời Chúa dùng tiên tri Khác-gai phán rằng: “Chớ thì đến lúc các ngươi cư ngụ trong nhà ấm cúng, và để đền thờ này hoang vu sao?” Giờ đây Chúa các đạo binh phán như thế này: “Các ngươi hãy lưu tâm đến đường lối các ngươi. Các ngươi đã gieo nhiều mà thu vào ít: các ngươi đã ăn không no, đã uống không say, đã mặc không ấm, kẻ nhận tiền công lại bỏ vào túi lủng”. Chúa các đạo binh phán như thế này: “Các ngươi hãy lưu tâm đến đường lối các ngươi: Hãy lên núi mang gỗ về xây cất đền thờ, như thế sẽ đẹp lòng Ta và Ta sẽ được tôn vinh”. Chúa phán như vậy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","response":"Ðáp: Chúa yêu thương dân Người","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy vang lên lời khen ngợi trong công hội các tín đồ. Israel hãy mừng vui vì Ðấng tạo tác bản thân, con cái Sion hãy hân hoan vì vua của họ.","Xướng: Họ hãy hoà nhạc để ngợi khen Người, hãy hát mừng Người với cây đàn cầm, với trống con, bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang, hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Lc 9, 7-9","info":"“Ông Gioan đã bị trẫm chém đầu rồi, ông này là ai mà trẫm nghe đồn làm những điều như thế”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, quận vương Hêrôđê nghe biết tất cả các việc Chúa Giêsu đã làm thì phân vân, vì có kẻ nói rằng: “Ông Gioan đã từ cõi chết sống lại”; còn kẻ khác lại nói: “Ông Êlia đã hiện ra”; kẻ khác nữa nói rằng: “Một tiên tri thời xưa đã sống lại”. Nhưng Hêrôđê thì nói: “Ông Gioan trẫm đã chém đầu rồi. Ông này là ai mà trẫm nghe đồn làm những điều như thế?” và vua tìm cách gặp Người.","end":"Ðó là lời Chúa"}},
+        "5255": {"firstReading":{"excerpt":"(Năm I) Kg 2, 1b-10","info":"“Còn một ít lâu nữa, Ta sẽ làm cho đền thờ này đầy vinh quang”.","title":"Trích sách Tiên tri Khác-gai.","content":"Năm thứ hai triều đại vua Ðariô, đến ngày hai mươi mốt tháng bảy, có lời Chúa dùng tiên tri Khác-gai mà phán rằng: “Ngươi hãy nói với Giorôbabel, con trai tướng lãnh Giuđa, là Saluthiel, nói với Giosua, con trai thượng tế Giosêđec, và với những kẻ sống sót lại trong dân rằng: “Ai trong các ngươi là kẻ sống sót lại đã nhìn thấy vinh quang thuở xưa của đền thờ này: và giờ đây các ngươi xem thấy nó thế nào? Chớ thì nó chẳng là không trước mắt các ngươi sao? Và Chúa lại phán: Hỡi Giorôbabel, giờ đây hãy can đảm. Hỡi Giosua, con trai thượng tế Giosêđêc, hãy can đảm; và toàn dân trên lãnh thổ, hãy can đảm, đây Chúa các đạo binh phán: Các ngươi hãy khởi công, vì Ta ở cùng các ngươi, Chúa các đạo binh phán như vậy. Có lời Ta đã giao ước với các ngươi, khi các ngươi ra khỏi đất Ai-cập, là thần linh Ta sẽ ở giữa các ngươi, nên các ngươi đừng sợ”.\rVì Chúa các đạo binh phán như thế này: “Còn ít lâu nữa, Ta sẽ khiến trời đất, biển khơi và đất cạn chuyển động. Ta cũng sẽ khiến mọi dân tộc chuyển động; và Ðấng mọi dân tộc trông đợi sẽ đến: Ta sẽ làm cho đền thờ đầy vinh quang, Chúa các đạo binh phán như vậy. Vàng bạc đều là của Ta, Chúa các đạo binh phán như vậy. Vinh quang đền thờ sau hết này sẽ cao trọng hơn vinh quang đền thờ trước, Chúa các đạo binh phán như vậy: trong nơi này, Ta sẽ ban hoà bình, Chúa các đạo binh phán như vậy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 42, 1. 2. 3. 4","response":"Ðáp: Hãy cậy trông Ðức Chúa Trời, vì con còn ca tụng Chúa, Ðấng cứu thể diện và là Thiên Chúa của con (c. 5bc).","verses":["Xướng: Xin Chúa minh xét cho con, ôi Thiên Chúa, xin bênh vực quyền lợi con đối nghịch với dân vô đạo, xin cứu con khỏi tay người độc ác, điêu gian!","Xướng: Vì lạy Chúa, Chúa là sức mạnh con, cớ chi Chúa bỏ con? Cớ chi con phải sống ngậm ngùi vì bị quân thù áp bức?","Xướng: Xin chiếu giãi quang minh và chân thật của Chúa, để những điều đó hướng dẫn con, đưa con lên núi thánh và cung lâu của Ngài.","Xướng: Con sẽ tiến tới bàn thờ Thiên Chúa, đến cùng Thiên Chúa làm cho con được hoan hỉ mừng vui. Với cây cầm thụ con sẽ ca ngợi Chúa, ôi Thiên Chúa, Thiên Chúa của con."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Lc 9, 18-22","info":"“Thầy là Ðấng Kitô của Thiên Chúa. Con Người phải chịu nhiều đau khổ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Việc xảy ra là khi Chúa Giêsu cầu nguyện riêng một nơi, và có các môn đệ ở với Người, thì Người hỏi các ông rằng: “Những đám dân chúng bảo Thầy là ai?” Các ông thưa rằng: “Người thì bảo là Gioan Tẩy giả, kẻ khác lại cho là Êlia, còn người khác thì cho là một trong các tiên tri thời xưa, đã sống lại”. Người lại hỏi các ông rằng: “Phần các con, các con bảo Thầy là ai?” Simon Phêrô thưa rằng: “Thầy là Ðấng Kitô của Thiên Chúa”. Và Người ngăn cấm các ông không được nói điều đó với ai mà rằng: “Con Người phải chịu nhiều đau khổ, bị các kỳ lão, các thượng tế, và các luật sĩ từ bỏ và giết chết, nhưng ngày thứ ba sẽ sống lại”.","end":"Ðó là lời Chúa"}},
+        "5256": {"firstReading":{"excerpt":"(Năm I) Dcr 2, 1-5. 10-11a","info":"“Này đây Ta đến và ngự giữa ngươi”.","title":"Trích sách Tiên tri Dacaria.","content":"Tôi đã ngước mắt lên và đã nhìn thấy: Kìa, có người cầm dây đo trong tay. Tôi đã hỏi rằng: “Ông đi đâu?” Người ấy đáp: “Tôi đi đo Giêrusalem, coi nó rộng bao nhiêu và dài bao nhiêu”. Và đây vị thiên thần đang nói chuyện với tôi ra đi, một thiên thần khác đến đón người và nói: “Hãy chạy lại nói với đứa trẻ ấy rằng: Giêrusalem là nơi trú ngụ không có tường thành, vì trong đó có đông dân cư và súc vật. Chúa phán: “Phần Ta, Ta sẽ nên tường thành lửa đỏ chung quanh nó, và Ta sẽ tỏ vinh quang Ta giữa nó”. Chúa lại phán: “Hỡi thiếu nữ Sion, hãy ca tụng và hân hoan: vì này đây Ta đến ngự giữa ngươi. Trong ngày ấy, sẽ có nhiều dân tộc quy phục Chúa, họ sẽ là dân Ta, và Ta sẽ ngự giữa ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","response":"Ðáp: Chúa sẽ gìn giữ chúng ta như mục tử chăn dắt đoàn chiên mình","verses":["Xướng: Hỡi các dân tộc, hãy nghe lời Chúa, hãy công bố lời Chúa trên các đảo xa xăm; hãy nói rằng: Ðấng đã phân tán Israel sẽ quy tụ nó lại, và sẽ giữ nó như mục tử chăn dắt đoàn chiên mình.","Xướng: Vì Chúa đã giải phóng Giacóp, giờ đây với cánh tay mạnh mẽ hơn, Người cứu thoát nó. Chúng sẽ đến và ca hát trên núi Sion, chúng sẽ đổ xô về phía hạnh phúc của Người.","Xướng: Bấy giờ người trinh nữ sẽ hân hoan nhảy mừng, các thanh niên và các cụ già cũng làm y như thế; Ta sẽ biến đổi tang chế của chúng thành niềm hân hoan, sẽ an ủi chúng và cho chúng hết đau khổ."]},"alleluia":{"verse":"Tv 114, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Lc 9, 43b-45","info":"“Con Người sẽ phải bị nộp. Các ông không đám hỏi Người về lời ấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ðang lúc mọi người thán phục về tất cả các việc Chúa Giêsu làm, thì Người phán cùng các môn đệ rằng: “Phần các con, các con hãy ghi vào lòng những lời này là: Con Người sẽ phải bị nộp vào tay người đời”. Nhưng các ông không hiểu lời đó, vì nó còn bị che khuất, nên các ông không lĩnh hội được ý nghĩa, và các ông không dám hỏi Người về lời ấy.","end":"Ðó là lời Chúa"}},
+        "5261": {"firstReading":{"excerpt":"(Năm I) Dcr 8, 1-8","info":"“Ta sẽ cứu dân Ta khỏi đất phía mặt trời mọc và phía mặt trời lặn”.","title":"Trích sách Tiên tri Dacaria.","content":"Có lời Chúa các đạo binh phán rằng: “Ðây Chúa các đạo binh phán: Ta đã ghen tức Sion với lòng ghen tức cực độ; Ta đã ghen tức nó với cơn phẫn nộ quá sức”.\rChúa các đạo binh còn phán như thế này: “Ta trở về Sion, và sẽ ngự giữa Giêrusalem; Giêrusalem sẽ được gọi là Thành chân lý, và núi Chúa các đạo binh sẽ được gọi là Núi thánh”.\rChúa các đạo binh lại phán như thế này: “Sẽ còn có lão ông lão bà cư ngụ trên phố phường Giêrusalem, mỗi người cầm gậy trong tay, vì họ đã cao niên. Các ngả đường thành phố đầy những trẻ nam trẻ nữ chơi trên đường phố”.\rChúa các đạo binh phán thêm rằng: “Trong những ngày ấy, nếu điều đó làm chướng mắt những kẻ còn sót lại trong dân, chớ thì nó sẽ làm chướng mắt Ta sao?” Chúa các đạo binh phán như vậy. Chúa các đạo binh còn phán rằng: “Này đây Ta sẽ cứu dân Ta thoát khỏi đất phía mặt trời mọc và phía mặt trời lặn. Ta sẽ dẫn chúng về cư ngụ giữa Giêrusalem: Chúng sẽ là dân Ta và Ta sẽ là Thiên Chúa của chúng, trong chân lý và công chính”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 101, 16-18. 19-21. 29 và 22-23","response":"Ðáp: Chúa sẽ tái lập Sion, và xuất hiện trong vinh quang sáng lạng (c. 17).","verses":["Xướng: Lạy Chúa, muôn dân sẽ kính tôn danh thánh Chúa, và mọi vua trên địa cầu sẽ quý trọng vinh quang Ngài; khi Chúa sẽ tái lập Sion, Chúa xuất hiện trong vinh quang sáng lạng; Chúa sẽ đoái nghe lời nguyện kẻ túng nghèo, và không chê lời họ kêu van. – Ðáp.","Xướng: Những điều này được ghi lại cho thế hệ mai sau, và dân tộc được tác tạo sẽ ca tụng Thiên Chúa. Từ thánh điện cao sang Chúa đã đoái nhìn, từ trời cao Chúa đã nhìn xuống trần thế, để nghe tiếng than khóc của tù nhân, để giải thoát kẻ bị lên án tử. – Ðáp.","Xướng: Con cháu của bầy tôi Chúa sẽ được an cư, và miêu duệ chúng sẽ tồn tại trước thiên nhan, để người ta truyền bá danh Chúa tại Sion, và lời khen ngợi Ngài ở Giêrusalem, khi chư dân cùng nhau quy tụ, và các vua nhóm họp để phụng thờ Chúa. – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 9, 46-50","info":"“Kẻ nào bé nhỏ nhất trong tất cả các con, đó là người cao trọng nhất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, các mộn đệ nghĩ ngợi trong lòng rằng ai trong các ông sẽ là người cao trọng nhất. Chúa Giêsu thấu biết tư tưởng trong lòng các ông, Người liền dẫn một trẻ nhỏ tới, để đứng bên cạnh Người, và bảo các ông rằng: “Hễ ai đón nhận trẻ nhỏ này vì danh Thầy, tức là đón nhận Thầy: mà hễ ai đón nhận Thầy, tức là đón nhận Ðấng đã sai Thầy. Vì kẻ nào bé nhỏ nhất trong tất cả các con, đó là người cao trọng nhất”.\rGioan lên tiếng thưa Người rằng: “Lạy Thầy, chúng con thấy một người kia lấy danh Thầy mà trừ quỷ, và chúng con đã ngăn cản nó, vì nó không theo Thầy cùng với chúng con”. Chúa Giêsu bảo ông rằng: “Các con chớ ngăn cản, vì ai không chống nghịch các con, tức là thuận với các con”.","end":"Ðó là lời Chúa"}},
+        "5262": {"firstReading":{"excerpt":"(Năm I) Dcr 8, 20-23","info":"“Nhiều dân tộc đến tìm kiếm Chúa tại Giêrusalem”.","title":"Trích sách Tiên tri Dacaria.","content":"Ðây Chúa các đạo binh phán: “Sẽ có các dân tộc đến đây, trú ngụ trong nhiều thành phố; các dân cư sẽ ra đi, người này bảo người kia rằng: “Chúng ta hãy đi cầu khẩn tôn nhan Chúa và tìm kiếm Chúa các đạo binh; còn ta, ta cũng ra đi”. Sẽ có nhiều dân tộc và những cường quốc đến tìm kiếm Chúa các đạo binh ở Giêrusalem, và khẩn cầu tôn nhan Chúa”. Chúa các đạo binh còn phán thế này: “Trong những ngày ấy, sẽ có mười người thuộc mọi tiếng nói các dân tộc nắm lấy gấu áo một người Do-thái mà thưa rằng: “Chúng tôi cùng đi với các ông, vì chúng tôi nghe nói rằng Thiên Chúa ở cùng các ông”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 86, 1-3. 4-5. 6-7","response":"Ðáp: Thiên Chúa ở cùng chúng tôi","verses":["Xướng: Chúa yêu cơ sở Người thiết lập trên núi thánh. Người yêu cửa nhà Sion hơn mọi cư xá nhà Giacóp. Hỡi thành trì của Thiên Chúa, thiên hạ đang nói những điều hiển hách về ngươi.","Xướng: Ta sẽ kể Rahab và Babel vào số người thờ phượng Ta, kìa Phi-litinh, Tyrô và dân Êthiôpi: những người này đã sinh ra tại đó. Và thiên hạ sẽ nói về Sion rằng: “Riêng từng người và hết mọi người đã sinh tại đó, chính Ðấng Tối Cao đã củng cố thành này”.","Xướng: Chúa sẽ ghi chép vào sổ sách của chư dân rằng: “Những người này đã sinh ra tại đó”. Và khi ca vũ, người ta sẽ ca rằng: “Mọi nguồn vui thú của tôi đều ở nơi Người”."]},"alleluia":{"verse":"Tv 18, 9","content":"alleluia! – Lạy Chúa, giới răn Chúa làm hoan lạc tâm can, mệnh lệnh Chúa sáng soi con mắt. – Alleluia."},"gospel":{"excerpt":"Lc 9, 51-56","info":"“Người cương quyết lên đường đi Giêrusalem”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vì gần tới thời gian Chúa Giêsu phải cất khỏi đời này, Người cương quyết lên đường đi Giêrusalem, và sai những người đưa tin đi trước Người. Những người này lên đường vào một làng Samaria để chuẩn bị mọi sự cho Người. Nhưng ở đó người ta không đón tiếp Người, bởi Người đi lên Giêrusalem. Thấy vậy, hai môn đệ Giacôbê và Gioan thưa Người rằng: “Lạy Thầy, Thầy muốn chúng con khiến lửa bởi trời xuống thiêu huỷ chúng không?” Nhưng Người quay lại, quở trách các ông rằng: “Các con không biết thần trí nào xúi giục mình. Con Người đến không phải để giết, nhưng để cứu chữa người ta”. Và các Ngài đi tới một làng khác.","end":"Ðó là lời Chúa"}},
+        "5263": {"firstReading":{"excerpt":"(Năm I) Nkm 2, 1-8","info":"“Nếu đức vua thấy tốt đẹp, xin sai thần đến thành phố của thân phụ thần, và thần sẽ xây cất lại thành phố”.","title":"Trích sách Nơkhemia.","content":"Việc xảy ra trong tháng Nisan, năm thứ hai mươi triều vua Artexerxê, là trước mặt vua có để rượu, tôi liền nâng rượu dâng lên nhà vua, và bấy giờ tôi tỏ vẻ buồn rầu trước long nhan, nên vua hỏi tôi rằng: “Cớ sao mặt ngươi buồn sầu thế, mặc dầu trẫm không thấy ngươi có bệnh? Sự việc này chẳng phải vô cớ, chắc trong lòng ngươi có điều chi bất an mà trẫm không biết”.\rTôi quá sợ hãi, liền tâu vua rằng: “Thánh hoàng vạn vạn tuế! Lẽ nào mặt thần không lo buồn, vì thành phố nơi có phần mộ tổ tiên của thần bị bỏ hoang, và các cửa thành bị lửa thiêu rụi?” Vua mới hỏi tôi rằng: “Ngươi thỉnh nguyện điều gì?”\rTôi cầu nguyện cùng Chúa Trời, rồi tâu vua rằng: “Nếu đức vua thấy tốt đẹp, và tôi tớ đức vua đẹp lòng trước long nhan, thì xin hãy sai thần về Giuđêa, đến thành phố nơi có phần mộ tổ phụ của thần, thần sẽ xây cất lại”.\rLúc đó có hoàng hậu ngồi bên cạnh vua, nên vua hỏi tôi rằng: “Ngươi đi bao lâu, và chừng nào trở về?” Vua bằng lòng sai tôi đi, và tôi định kỳ hạn với nhà vua.\rTôi tâu vua rằng: “Nếu đức vua thấy tốt đẹp, xin đức vua ban chiếu chỉ cho thần, để thần xuất trình cho các quan cai vùng bên kia sông, hầu các ngài đưa thần đến Giuđêa; lại xin ban chiếu chỉ cho Asaph quan cai rừng cây của đức vua, để người cấp gỗ cho thần hầu có thể làm cửa tháp đền, tường thành và nhà thần cư ngự”. Vua ban cho tôi theo như tay nhân lành Chúa ở với tôi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 136, 1-2. 3. 4-5. 6","response":"Ðáp: Lưỡi tôi dính vào cuống họng, nếu tôi không nhớ đến ngươi (c. 6a).","verses":["Xướng: Trên bờ sông Babylon, chúng tôi ngồi khóc nức nở, khi tưởng nhớ lại thành thánh Sion. Trên những cây dương liễu miền đó, chúng tôi treo các cây lục huyền cầm của chúng tôi.","Xướng: Vì nơi này, quân canh ngục đòi chúng tôi vui vẻ hát lên. Họ giục chúng tôi rằng: Hãy vui mừng, hãy ca hát cho chúng ta nghe điệu ca Sion.","Xướng: Lẽ nào chúng tôi ca hát ngợi khen Thiên Chúa trên đất khách quê người? Hỡi Giêrusalem, nếu tôi lại quên ngươi, thì cánh tay tôi sẽ bị khô đét.","Xướng: Lưỡi tôi dính vào cuống họng nếu tôi không nhớ đến ngươi. Nếu tôi không đặt Giêrusalem trên tất cả mọi niềm vui thoả."]},"alleluia":{"verse":"Tv 118, 8ab","content":"alleluia! – Lạy Chúa, những giới răn Chúa được lập ra cho tới muôn đời, được ban hành một cách chân thành và đoan chính. – Alleluia."},"gospel":{"excerpt":"Lc 9, 57-62","info":"“Dù Thầy đi đâu, tôi cũng theo Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, đang lúc Chúa Giêsu và các môn đệ đi đường, thì có kẻ thưa người rằng: “Dù Thầy đi đâu, tôi cũng sẽ theo Thầy”. Chúa Giêsu bảo người ấy rằng: “Con chồn có hang, chim trời có tổ, Con Người không có nơi gối đầu”. Người bảo một kẻ khác rằng: “Hãy theo Ta”. Người ấy thưa: “Xin cho phép tôi đi chôn cha tôi trước đã”. Nhưng Người đáp: “Hãy để kẻ chết chôn kẻ chết; phần con, hãy đi rao giảng Nước Thiên Chúa”. Một người khác thưa Người rằng: “Lạy Thầy, tôi sẽ theo Thầy, nhưng cho phép tôi về từ giã gia đình trước đã”. Nhưng Chúa Giêsu đáp: “Ai đã tra tay vào cày mà còn ngó lại sau lưng thì không xứng đáng với Nước Thiên Chúa”.","end":"Ðó là lời Chúa"}},
+        "5264": {"firstReading":{"excerpt":"(Năm I) Nkm 8, 1-4a. 5-6. 7b-12","info":"“Thầy Esdra mở sách luật ra, chúc phúc cho dân và toàn dân đáp lại: Amen! Amen!”","title":"Trích sách Nơkhemia.","content":"Trong những ngày ấy, toàn dân mọi người như một, tụ họp lại ở phố trước cửa Nước, họ xin thầy Esdra mang ra sách Luật của Môsê mà Chúa đã truyền cho dân Israel. Vậy thầy tư tế Esdra mang luật ra trước cộng đồng, gồm đàn ông, đàn bà và tất cả những ai có thể hiểu luật: hôm đó là ngày đầu tháng bảy. Từ sáng đến giữa trưa, thầy đứng ở công trường, trước cửa Nước, đọc sách trước mặt đàn ông, đàn bà và những người hiểu luật. Tất cả dân chúng đều lắng tai nghe đọc sách luật.\rThầy thư ký Esdra đứng trên bệ bằng cây mà đọc sách; thầy mở sách ra trước công chúng, vì thầy đứng nơi cao hơn mọi người. Khi thầy mở sách, thì tất cả đều đứng lên. Esdra chúc tụng Chúa là Thiên Chúa Cao Cả. Toàn dân đưa tay lên đáp lại: Amen, Amen. Họ cúi mình và phủ phục trước Thiên Chúa, mặt họ cúi sát đất. Các thầy Lêvi khiến dân chúng thinh lặng để nghe đọc Lề Luật: Dân chúng mỗi người đứng nơi mình. Một số người đọc từng đoạn trong sách luật Chúa, giải thích ý nghĩa, và người ta hiểu được điều đã đọc.\rNơkhemia là tổng trấn, Esdra là tư tế và là thư ký, các thầy Lêvi huấn luyện dân chúng, nói với họ rằng: “Ngày hôm nay được thánh hoá dâng cho Chúa là Thiên Chúa chúng ta: anh chị em đừng mang tang chế, đừng than khóc”. Vì lúc đó toàn dân khóc lóc khi nghe đọc các lời trong luật.\rHọ nói với dân chúng rằng: “Hãy đi ăn thịt béo và uống rượu ngon, hãy gởi phần cho kẻ không có dọn sẵn cho mình, vì ngày này là ngày thánh dâng cho Chúa, đừng buồn sầu; vì niềm vui của Chúa là đồn lũy của chúng ta”.\rCác Thầy Lêvi khiến toàn dân thinh lặng mà rằng: “Anh chị em hãy thinh lặng, vì hôm nay là ngày thánh, nên chớ lo buồn”. Vì thế toàn dân đi trở ra ăn uống, gởi phần cho những người không có, và đầy hân hoan vui mừng, vì người ta hiểu rõ những lời mình nghe giảng dạy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","response":"Ðáp: Giới răn Chúa chính trực, làm hoan lạc tâm can","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chính trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thực, công minh hết thảy.","Xướng: Những điều đó đáng chuộng hơn vàng, hơn cả vàng ròng; ngọt hơn mật, và hơn cả mật chảy tự tàng ong."]},"alleluia":{"verse":"1 Pr 1, 25","content":"alleluia! – Lời Chúa tồn tại muôn đời, đó là lời Tin Mừng đã rao giảng cho anh em. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-12","info":"“Sự bằng an của các con sẽ đến trên người ấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người, đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của Người. Các con hãy đi. Này Thầy sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường. Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ.\r“Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: “Nước Thiên Chúa đã đến gần các ngươi”. Khi vào thành nào mà người ta không tiếp đón các con, thì hãy ra giữa các phố chợ và nói: “Cả đến bụi đất thành các ngươi dính vào chân chúng tôi, chúng tôi cũng xin phủi trả lại các ngươi. Nhưng các ngươi hãy biết rõ điều này: Nước Thiên Chúa đã đến gần”. Thầy bảo các con, ngày ấy, thành Sôđôma sẽ được xử khoan dung hơn thành này”.","end":"Ðó là lời Chúa"}},
+        "5265": {"firstReading":{"excerpt":"(Năm I) Br 1, 15-22","info":"“Chúng ta đã phạm tội trước mặt Chúa và không tin tưởng vào Người”.","title":"Trích sách Tiên tri Barúc.","content":"Sự công chính thuộc về Chúa là Thiên Chúa chúng ta, còn sự thẹn mặt thì thuộc về chúng ta: như ngày nay, nó thuộc về toàn cõi Giuđa: thuộc về dân cư Giêrusalem, vua chúa, quan quyền, tư tế, tiên tri và các tổ phụ chúng ta. Chúng ta phạm tội trước mặt Chúa là Thiên Chúa chúng ta, và chúng ta không tin tưởng, không cậy trông vào Người. Chúng ta không suy phục Người, không nghe tiếng Chúa là Thiên Chúa chúng ta, để chúng ta bước đi trong các giới răn Người đã ban cho chúng ta. Từ ngày Chúa dẫn các tổ phụ chúng ta ra khỏi đất Ai-cập cho đến ngày nay, chúng ta chẳng tin tưởng vào Chúa là Thiên Chúa chúng ta: chúng ta vô tâm lìa xa Chúa để khỏi nghe tiếng Người. Chúng ta mắc phải nhiều tai hoạ và những lời chúc dữ mà Chúa đã báo cho Môsê tôi tớ Người, khi Người dẫn dắt tổ phụ chúng ta ra khỏi đất Ai-cập, để ban cho chúng ta đất chảy sữa và mật như ngày hôm nay. Chúng ta không nghe tiếng Chúa là Thiên Chúa chúng ta theo như mọi lời các tiên tri Chúa sai đến cùng chúng ta. Mỗi người chúng ta cứ theo lòng gian tà của mình, làm tôi các thần ngoại, thực hành các sự dữ trước mắt Chúa là Thiên Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 78, 1-2. 3-5. 8. 9","response":"Ðáp: Lạy Chúa, xin giải thoát chúng con vì vinh quang danh Chúa","verses":["Xướng: Ôi Thiên Chúa, ngoại bang đã xông vào gia nghiệp Chúa, họ làm ô uế thánh điện của Ngài, họ biến Giêrusalem thành nơi đổ nát! Họ ném tử thi thần dân Chúa làm mồi nuôi chim trời, và huyết nhục tín đồ Ngài cho muông thú đồng hoang.","Xướng: Họ đổ máu chư vị đó dường như nước lã quanh Giêrusalem, mà không có kẻ chôn vùi. Chúng con đã bị bêu ra cho láng giềng phỉ nhổ, cho lân bang chế diễu nhạo cười! Tới ngày nào, lạy Chúa, Chúa còn giận mãi? Và lòng ghen hận Chúa còn như lửa nấu nung?","Xướng: Xin đừng nhớ tội tiền nhân để trị chúng con; xin kíp mở lòng từ bi đón nhận chúng con, vì chúng con lầm than quá đỗi!","Xướng: Ôi Thiên Chúa, Ðấng cứu độ chúng con, xin phù trợ chúng con vì vinh quang danh Chúa; xin giải thoát và tha tội chúng con vì danh Ngài."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! -Ngày hôm nay, anh em chứ cứng lòng, nhưng hãy nghe tiếng Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 10, 13-16","info":"“Ai tiếp đón Thầy, là tiếp đón Ðấng đã sai Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho ngươi, hỡi Corozain, khốn cho ngươi, hỡi Bethsaiđa: vì nếu tại Tyrô và Siđon đã xảy ra những phép lạ thực hiện nơi các ngươi, thì từ lâu, những nơi đó đã mặc áo vải thô và ngồi trên tro bụi mà sám hối. Cho nên trong ngày thẩm phán, Tyrô và Siđon sẽ được nhiêu dung hơn các ngươi.\r“Còn ngươi nữa, hỡi Capharnaum, phải chăng ngươi sẽ được nâng cao đến tận trời? Ngươi sẽ phải hạ thấp xuống tới địa ngục.\r“Ai nghe các con, tức là nghe Thầy, và ai khinh dể các con, là khinh dể Thầy. Mà ai khinh dể Thầy là khinh dể Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},
+        "5266": {"firstReading":{"excerpt":"(Năm I) Br 4, 5-12. 27-29","info":"“Ðấng đã giáng họa trên các con, chính Người sẽ đem lại cho các con sự vui mừng”.","title":"Trích sách Tiên tri Barúc.","content":"Hỡi dân Thiên Chúa, Israel đáng ghi nhớ, hãy vững lòng. Các ngươi bị bán cho dân ngoại không phải để bị tiêu diệt, nhưng bởi các ngươi đã trêu chọc cơn thịnh nộ Thiên Chúa, nên các ngươi bị trao phó cho quân thù. Vì chưng, các ngươi đã khiêu khích Ðấng đã tạo thành các ngươi, là Thiên Chúa đời đời, các ngươi tế lễ cho ma quỷ, chớ không phải cho Thiên Chúa. Các ngươi đã bỏ quên Thiên Chúa, Ðấng đã nuôi dưỡng các ngươi, các ngươi đã làm phiền lòng vú nuôi các ngươi là Giêrusalem.\rNó đã chứng kiến cơn thịnh nộ của Thiên Chúa, giáng xuống trên các ngươi, và nói rằng: “Hỡi những kẻ lân cận Sion, hãy nghe đây, vì Thiên Chúa đã đem đến cho ta cơn khóc lóc cả thể: ta đã nhìn thấy dân ta, con trai, con gái bị lưu đày do Ðấng Hằng Hữu trừng trị chúng. Ta đã vui mừng nuôi dưỡng chúng, nhưng ta đã khóc lóc phiền muộn tiễn chúng ra đi. Không một ai hân hoan cùng ta là kẻ goá bụa và âu sầu: tại tội lỗi con cái ta mà ta đã bị nhiều người lìa bỏ, vì chúng đã lánh xa lề luật Thiên Chúa.\r“Các con ơi, hãy vững lòng, hãy kêu cầu cùng Chúa: vì Ðấng đã dẫn đưa các con, sẽ nhớ đến các con. Như lòng các con đã làm cho các con lạc đàng xa Thiên Chúa, thì khi ăn năn trở lại, các con sẽ tìm kiếm Người gấp mười lần. Vì Ðấng đã giáng hoạ trên các con, chính Người sẽ đem lại cho các con sự vui mừng vĩnh cửu cùng với ơn cứu độ”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 33-35. 36-37","response":"Ðáp: Chúa nghe những người cơ khổ (c. 34a).","verses":["Xướng: Các bạn khiêm cung, hãy nhìn coi và hoan hỉ, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ, và không chê bỏ con dân của Người bị bắt cầm tù. Hãy ngợi khen Chúa, hỡi trời và đất, biển khơi và muôn vật sống động bên trong! – Ðáp.","Xướng: Vì Thiên Chúa sẽ cứu độ Sion. Người sẽ tái thiết thành trì của Giuđa, tại đây người ta cư ngụ và chiếm quyền sở hữu. Con cháu của bầy tôi Chúa sẽ thừa hưởng đất này, và tại đây những người yêu danh Chúa sẽ định cư."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia."},"gospel":{"excerpt":"Lc 10, 17-24","info":"“Các con hãy vui mừng vì tên các con đã được ghi trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, bảy mươi hai ông trở về vui mừng và nói rằng: “Thưa Thầy, nhân danh Thầy thì cả ma quỷ cũng vâng phục chúng con”. Người bảo: “Ta đã thấy Satan từ trời sa xuống như luồng chớp. Này Ta đã ban cho các con quyền giày đạp rắn rết, bọ cạp, mọi quyền phép của kẻ thù, và không có gì có thể làm hại được các con. Dù vậy, các con chớ vui mừng vì các thần phải vâng phục các con; nhưng hãy vui mừng vì tên các con đã được ghi trên trời”. Lúc đó, Chúa Giêsu đầy hoan lạc trong Chúa Thánh Thần, Người nói: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã giấu không cho những người thông thái khôn ngoan biết những điều này, nhưng đã tỏ cho những kẻ đơn sơ. Vâng, lạy Cha, đó là ý Cha đã muốn thế. – Cha Ta đã trao cho Ta mọi sự. Không ai biết Chúa Con là ai, ngoài Chúa Cha; cũng không ai biết Chúa Cha là Ðấng nào, ngoài Chúa Con, và những người được Chúa Con muốn tỏ cho biết”. Rồi Chúa Giêsu quay lại phía các môn đệ và phán: “Hạnh phúc cho những con mắt được xem những điều các con xem thấy, vì chưng, Thầy bảo các con: Có nhiều tiên tri và vua chúa đã muốn xem những điều các con thấy, mà chẳng được xem, muốn nghe những điều các con nghe, mà đã chẳng được nghe”.","end":"Ðó là lời Chúa"}},
+        "5271": {"firstReading":{"excerpt":"(Năm I) Gn 1, 1 – 2, 1. 11","info":"“Ông Giona chỗi dậy lánh xa mặt Chúa”.","title":"Khởi đầu sách Tiên tri Giona.","content":"Có lời phán cùng Giona, con trai ông Amathi, rằng: “Ngươi hãy chỗi dậy đi sang Ninivê, một thành rộng lớn, và giảng tại đó, vì tội ác của nó thấu đến Ta”.\rGiona liền chỗi dậy để trốn sang Tharsê lánh xa mặt Chúa; ông đi xuống Gioppê, gặp tàu đi sang Tharsê, ông liền mua vé, xuống tàu đi với hành khách sang Tharsê, lánh xa mặt Chúa.\rNhưng Chúa khiến trận cuồng phong thổi trên biển và cơn bão táp dữ dội nổi lên, khiến tàu lâm nguy sắp chìm. Các thuỷ thủ lo sợ, hành khách cầu khẩn cùng thần minh của mình. Người ta vứt đồ vật trên tàu xuống biển cho nhẹ bớt, lúc đó ông Giona xuống lòng tàu nằm ngủ mê mệt. Thuyền trưởng đến gần ông và hỏi rằng: “Sao ông ngủ mê mệt như vậy? Hãy chỗi dậy cầu khẩn cùng Thiên Chúa của ông, may ra Thiên Chúa đoái đến chúng ta và chúng ta khỏi chết”.\rAi nấy đều bảo đồng bạn mình rằng: “Các anh hãy lại đây, chúng ta bắt thăm coi biết tại sao chúng ta gặp phải tai hoạ này”. Rồi họ bắt thăm, thì trúng phải ông Giona. Họ bảo ông rằng: “Xin ông cho chúng tôi biết vì cớ nào chúng ta gặp phải tai hoạ này: Ông làm nghề gì? Ở nơi nào? Ði đâu? Hoặc thuộc dân nào?” Ông trả lời họ rằng: “Tôi là người Do-thái, tôi kính sợ Thiên Chúa là Chúa Trời, Ðấng tạo thành biển khơi và lục địa”.\rHọ khiếp sợ quá sức và hỏi ông rằng: “Sao ông hành động thế này? (Vì theo lời ông thố lộ, các hành khách biết ông trốn lánh mặt Chúa). Họ liền hỏi ông rằng: “Chúng tôi phải đối xử với ông làm sao đây, để biển yên lặng? vì biển càng động mạnh thêm”. Ông bảo họ rằng: “Các ông hãy bắt tôi vứt xuống biển, thì biển sẽ yên lặng, vì tôi biết tại tôi mà các ông gặp phải trận bão lớn lao này”.\rCác thuỷ thủ cố chèo thuyền vào đất liền, nhưng không sao được, vì biển càng động dữ dội hơn. Họ kêu cầu cùng Chúa rằng: “Lạy Chúa, chúng tôi xin Chúa vì mạng sống người này cho chúng tôi khỏi chết. Xin chớ đổ máu vô tội trên chúng tôi, vì, lạy Chúa, Chúa hành động theo như Chúa muốn”. Rồi họ bắt vứt ông Giona xuống biển, và biển liền hết nổi sóng. Mọi người rất kính sợ Chúa, họ tế lễ dâng lên Chúa và làm lời khấn hứa.\rChúa chuẩn bị sẵn một con cá lớn để nuốt ông Giona, và ông Giona ở trong bụng cá ba ngày ba đêm. Sau đó, Chúa truyền lệnh cho cá nhả ông Giona vào bờ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Gn 2, 2. 3. 4. 5. 8","response":"Ðáp: Lạy Chúa là Thiên Chúa của con, từ vực sâu thẳm, Chúa đã cứu sống mạng con","verses":["Xướng: Nằm trong bụng cá, ông Giona thưa cùng Chúa là Thiên Chúa của mình rằng:","Xướng: Trong cảnh gian truân, con đã kêu cầu tới Chúa, và Ngài đã nhậm lời con; tự lòng vực sâu âm phủ, con đã kêu lên, và Ngài đã nghe rõ tiếng con.","Xướng: Ngài đã ném con xuống vực sâu, trong lòng biển, các dòng nước đã lôi cuốn thân con, bao sóng cả ba đào đều lướt chảy trên mình con.","Xướng: Bấy giờ con tự nhủ: Con đã bị loại xa khỏi thiên nhan Chúa, nhưng con sẽ còn được xem thấy thánh điện Ngài.","Xướng: Khi mà trong người con, linh hồn tuyệt vọng, bấy giờ con đã nhớ (tới) Chúa. Lời cầu nguyện của con đã thấu đến tai Ngài, trong nơi thánh điện của Ngài."]},"alleluia":{"verse":"1 Sm 3, 9; Ga 6, 69","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 10, 25-37","info":"“Ai là anh em của tôi?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có một người thông luật đúng dậy hỏi thử Chúa Giêsu rằng: “Thưa Thầy, tôi phải làm gì để được sự sống đời đời?” Người nói với ông: “Trong Lề luật đã chép như thế nào? Ông đọc thấy gì trong đó?” Ông trả lời: “Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn, hết sức và hết trí khôn ngươi, và hãy thương mến anh em như chính mình”. Chúa Giêsu nói: “Ông trả lời đúng, hãy làm như vậy và ông sẽ được sống”. Nhưng người đó muốn bào chữa mình, nên thưa cùng Chúa Giêsu rằng: “Nhưng ai là anh em của tôi?”\rChúa Giêsu nói tiếp: “Một người đi từ Giêrusalem xuống Giêricô, và rơi vào tay bọn cướp; chúng bóc lột người ấy, đánh nhừ tử rồi bỏ đi, để người ấy nửa sống nửa chết. Tình cờ một tư tế cũng đi qua đường đó, trông thấy nạn nhân, ông liền đi qua. Cũng vậy, một trợ tế khi đi đến đó, trông thấy nạn nhân, cũng đi qua. Nhưng một người xứ Samaria đi đường đến gần người ấy, trông thấy và động lòng thương. Người đó lại gần, băng bó những vết thương, xức dầu và rượu, rồi đỡ nạn nhân lên lừa của mình, đưa về quán trọ săn sóc. Hôm sau, lấy ra hai quan tiền, ông trao cho ông chủ quán mà bảo rằng: “Ông hãy săn sóc người ấy, và ngoài ra còn tốn phí hơn bao nhiêu, khi trở về tôi sẽ trả lại ông”.\r“Theo ông nghĩ, ai trong ba người đó là anh em của người bị rơi vào tay bọn cướp?” Người thông luật trả lời: “Kẻ đã tỏ lòng thương xót với người ấy”. Và Chúa Giêsu bảo ông: “Ông cũng hãy đi và làm như vậy”.","end":"Ðó là lời Chúa"}},
+        "5272": {"firstReading":{"excerpt":"(Năm I) Gn 3, 1-10","info":"“Dân thành Ninivê đã bỏ đàng tội lỗi”.","title":"Trích sách Tiên tri Giona.","content":"Lời Chúa phán cùng Giona rằng: “Hãy chỗi dậy và đi đến Ninivê, một thành phố lớn, và rao giảng cho nó điều Ta sẽ nói cho ngươi”. Giona chỗi dậy và đi đến Ninivê theo lời Chúa dạy. Ninivê là một thành phố lớn, rộng bằng ba ngày đàng. Giona tiến vào thành phố, đi một ngày đàng, rồi rao giảng rằng: “Còn bốn mươi ngày nữa, Ninivê sẽ bị phá huỷ”. Dân thành tin tưởng nơi Chúa; họ công bố việc ăn chay và mặc áo nhặm, từ người lớn đến trẻ nhỏ.\rVua thành Ninivê nghe điều đó, liền bỏ ngai vàng, cởi áo cẩm bào, mặc áo nhặm và ngồi trên đống tro. Trong thành Ninivê, người ta rao sắc lệnh sau đây của nhà vua và các vương hầu: “Người, vật, bò, chiên, không được nếm, không được ăn uống gì hết; người và vật phải mặc áo nhặm, phải kêu to lên cùng Chúa và phải cải thiện đời sống, phải bỏ đàng tội lỗi và những điều bất chính đã phạm. Biết đâu Chúa sẽ đổi ý thứ tha, nguôi giận và chúng ta khỏi chết?” Chúa thấy việc họ làm, vì họ bỏ đời sống xấu xa, Chúa đổi ý định phạt họ, và Người không thực hiện điều đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 7-8","response":"Ðáp: Nếu Chúa nhớ hoài sự lỗi, lạy Chúa, nào ai chịu nổi được ư?","verses":["Xướng: Từ vực sâu, lạy Chúa, con kêu lên Chúa. Lạy Chúa, xin nghe tiếng con cầu! Dám xin Chúa hãy lắng tai, hầu nghe thấu tiếng van nài của con.","Xướng: Nếu Chúa nhớ hoài sự lỗi, lạy Chúa, nào ai chịu nổi được ư? Nhưng Chúa thường rộng lượng thứ tha, để cho thiên hạ tôn thờ kính yêu.","Xướng: Israel đang mong đợi Chúa: bởi vì Chúa rộng lượng từ bi và Chúa rất giầu ơn cứu độ. Và chính Ngài sẽ giải thoát Israel cho khỏi mọi điều gian ác."]},"alleluia":{"verse":"Tv 144, 14cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay kẻ lắng nghe và tuân giữ lời Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 10, 38-42","info":"“Martha rước Người vào nhà mình. Maria đã chọn phần tốt nhất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy Chúa Giêsu vào một làng kia, và có một phụ nữ tên là Martha rước Người vào nhà mình. Bà có người em gái tên là Maria ngồi bên chân Chúa mà nghe lời Người. Martha bận rộn với việc thết đãi khách. Bà đứng lại thưa Người rằng: “Lạy Thầy, em con để con hầu hạ một mình mà Thầy không quan tâm sao? Xin Thầy bảo em con giúp con với”.\rNhưng Chúa đáp: “Martha, Martha, con lo lắng bối rối về nhiều chuyện (quá). Chỉ có một sự cần mà thôi, Maria đã chọn phần tốt nhất và sẽ không bị ai lấy mất”.","end":"Ðó là lời Chúa"}},
+        "5273": {"firstReading":{"excerpt":"(Năm I) Gn 4, 1-11","info":"“Ngươi buồn bực vì dây dưa, chớ thì Ta không tha thứ cho Ninivê, một thành phố rộng lớn sao?”","title":"Trích sách Tiên tri Giona.","content":"Ông Giona buồn bực quá sức và giận dữ, ông cầu nguyện cùng Chúa rằng: “Lạy Chúa, chớ thì chẳng phải như lời con đã cầu xin khi con còn ở quê nhà con sao? Bởi đó con lo trốn sang Tharsê: vì con biết Chúa là Thiên Chúa khoan nhân, từ bi, nhẫn nhục, đầy tình thương và tha thứ tội ác. Lạy Chúa, giờ đây xin Chúa cất linh hồn con ra khỏi con, vì thà con chết còn hơn là sống”. Chúa liền hỏi rằng: “Ngươi có nghĩ là ngươi giận đúng không?”\rÔng Giona ra khỏi thành phố và ngồi ở phía đông thành phố; ông tự dựng một cái lều, và ngồi dưới bóng nó, chờ xem biến cố sẽ xảy ra trong thành. Chúa là Thiên Chúa khiến một dây dưa mọc lên khỏi đầu ông Giona, rợp bóng trên đầu ông, che mát cho ông (vì ông mệt mỏi); nhờ dây dưa đó, ông Giona rất hân hoan vui mừng. Sáng sớm hôm sau, Thiên Chúa khiến một con sâu cắn dây dưa, và nó ra khô héo. Khi mặt trời mọc lên, Chúa khiến cơn gió nóng thổi lên và mặt trời giọi xuống đầu ông Giona, ông nóng nực và xin cho mình chết mà rằng: “Thà con chết đi còn hơn là sống”.\rChúa phán cùng ông Giona rằng: “Ngươi có nghĩ ngươi giận vì dây dưa là đúng không?” Ông thưa: “Ðúng, con giận cho đến chết (đi được!)” Chúa phán: “Ngươi buồn bực vì dây dưa mà ngươi không mất công vun trồng, không làm cho nó mọc lên, đêm nay nó mọc lên và đêm sau nó khô héo. Chớ thì Ta không tha thứ cho Ninivê, một thành phố rộng lớn, trong đó có trên một trăm hai mươi ngàn người chưa biết phân biệt tay tả tay hữu mình thế nào, và nhiều súc vật sao?”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 85, 3-4. 5-6. 9-10","response":"Ðáp: Lạy Chúa, Chúa chậm bất bình và rất mực khoan dung","verses":["Xướng: Lạy Chúa, Chúa là Thiên Chúa của con, xin thương con, vì con ân cần kêu van Ngài. Nguyện cho bầy tôi Chúa được hân hoan, vì lạy Chúa, con vươn hồn lên tới Chúa.","Xướng: Lạy Chúa, vì Chúa nhân hậu và khoan dung, giầu lượng từ bi với những ai kêu cầu Chúa. Lạy Chúa, xin nghe lời con khẩn nguyện, và quan tâm đến tiếng con van nài.","Xướng: Các dân tộc mà Chúa tạo thành, họ sẽ tới, lạy Chúa, họ sẽ thờ lạy Ngài, và họ sẽ ca tụng danh Ngài. Vì Ngài cao cả và làm nên những điều kỳ diệu; duy một mình Ngài là Thiên Chúa."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 11, 1-4","info":"“Lạy Thầy, xin dạy chúng con cầu nguyện”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ngày kia, Chúa Giêsu cầu nguyện ở một nơi. Khi Người cầu nguyện xong, có một môn đệ thưa Người rằng: “Lạy Thầy, xin dạy chúng con cầu nguyện như Gioan đã dạy môn đệ ông”. Người nói với các ông: “Khi các con cầu nguyện, hãy nói:\r“Lạy Cha, nguyện danh Cha cả sáng. Nước Cha trị đến. Xin Cha cho chúng con hôm nay lương thực hằng ngày. Và tha nợ chúng con, như chúng con cũng tha mọi kẻ có nợ chúng con. Xin chớ để chúng con sa chước cám dỗ”.","end":"Ðó là lời Chúa"}},
+        "5274": {"firstReading":{"excerpt":"(Năm I) Ml 3, 13 – 4, 2a","info":"“Ðây sẽ đến ngày bừng cháy lên như lò lửa”.","title":"Trích sách Tiên tri Malakhi.","content":"Chúa phán: “Lời của các ngươi chống lại Ta thật thô kệch. Các ngươi đã nói: “Chúng tôi có nói gì chống lại Chúa đâu?” Các ngươi còn nói: “Kẻ phụng thờ Thiên Chúa thật luống công! Chúng ta đã tuân giữ giới răn của Chúa, và đã sầu não tiến bước trước mặt Chúa các đạo binh, nào ích lợi gì? Vậy giờ đây chúng ta kể kẻ kiêu căng là những người có phúc: quả thật, những kẻ làm điều ác thì được thịnh vượng, họ đã thử thách Thiên Chúa mà vẫn được cứu thoát”.\rBấy giờ những kẻ kính sợ Chúa đàm đạo với nhau, thì Chúa lắng nghe. Trước mặt Chúa là quyển sách kỷ niệm ghi danh sách những kẻ kính sợ Chúa và tưởng nhớ đến thánh danh Người. Chúa các đạo binh phán: “Trong ngày Ta định hành động, họ sẽ là của riêng Ta. Ta sẽ tha thứ cho họ, như một người tha thứ cho đứa con biết phụng sự mình. Khi trở lại, các ngươi sẽ xem thấy sự khác biệt giữa người lành và kẻ dữ, giữa người phụng thờ Thiên Chúa và kẻ không phụng thờ Người”.\r“Vì đây sẽ đến ngày bừng cháy lên như lò lửa: tất cả những kẻ kiêu căng và những người làm tội ác sẽ như rơm rạ. Ngày ấy đến sẽ thiêu đốt họ, và không để sót lại cho họ cội rễ ngành chồi gì cả”, Chúa các đạo binh phán như vậy. “Phần các ngươi là những kẻ kính sợ thánh danh Ta, các ngươi sẽ được Mặt Trời công chính soi sáng cho, mang theo sự cứu chữa dưới cánh Người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Phúc thay người đặt niềm tin cậy vào Chúa","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy, họ như vỏ trấu bị gió cuốn đi; vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":"Lc 4, 18-19","content":"alleluia! – Chúa đã sai tôi đi rao giảng Tin Mừng cho người nghèo khó, loan truyền sự giải thoát cho kẻ bị giam cầm. – Alleluia."},"gospel":{"excerpt":"Lc 11, 5-13","info":"“Các con hãy xin thì sẽ được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu ai trong các con có người bạn, giữa đêm khuya đến nói với người ấy rằng: “Anh ơi, xin cho tôi vay ba chiếc bánh, vì tôi có anh bạn đi đường ghé lại nhà tôi, mà tôi không có gì thết đãi anh ấy”. Và từ trong nhà có tiếng người ấy đáp: “Xin đừng quấy rầy tôi, vì cửa đã đóng, các con tôi và tôi đã lên giường nằm rồi, tôi không thể chỗi dậy lấy bánh cho anh được”. Thầy bảo các con, dù người đó không dậy vì tình bạn để lấy bánh cho người bạn, người đó cũng sẽ dậy, ít nữa là vì sự quấy rầy của người kia mà cho anh ta tất cả những gì anh ta cần.\r“Và Thầy bảo các con: Các con hãy xin thì sẽ được, hãy tìm thì sẽ gặp, hãy gõ thì sẽ mở cho. Vì hễ ai xin thì sẽ được, ai tìm thì sẽ gặp, ai gõ thì sẽ mở cho. Người cha nào trong các con có đứa con xin bánh mà lại cho nó hòn đá ư? Hay nó xin cá lại cho nó con rắn thay vì cá sao? Hay nó xin quả trứng, lại cho nó con bọ cạp ư? Vậy nếu các con là những kẻ gian ác, còn biết cho con cái mình những của tốt, phương chi Cha các con trên trời sẽ ban Thánh Thần cho những kẻ xin Người”.","end":"Ðó là lời Chúa"}},
+        "5275": {"firstReading":{"excerpt":"(Năm I) Ge 1, 13-15; 2, 1-2","info":"“Ngày của Chúa, ngày của u tối mù mịt”.","title":"Trích sách Tiên tri Giôel.","content":"Hỡi các tư tế, hãy thắt lưng và kêu khóc! Hỡi các thừa tác viên bàn thờ, hãy la lên! Hỡi các thừa tác viên của Thiên Chúa tôi, hãy tiến vào, hãy mặc áo vải gai mà thức suốt đêm, vì lễ chay, lễ quán bị cất khỏi đền thờ Thiên Chúa các ngươi.\rHãy công bố cuộc chay thánh. Hãy triệu tập đại hội. Hãy tụ họp các bô lão, tất cả những dân cư trong nước hiệp mặt lại trong đền thờ Thiên Chúa các ngươi và hãy kêu cầu Chúa: Ôi, ôi, ôi! ngày vô phúc, vì ngày của Chúa gần đến rồi, nó đến như cuộc tàn phá do Ðấng Quyền Năng thực hiện.\rHãy thổi kèn tại Sion! Hãy la lối trên núi thánh của Ta! Tất cả dân cư trong nước hãy run sợ, vì ngày Chúa đã gần đến rồi, ngày u tối mù mịt, ngày mây đen bão táp: một dân tộc đông đảo và hùng mạnh như rạng đông giãi trên các núi đồi, từ cổ chí kim và bao thế hệ về sau cũng chẳng xảy ra giống như vậy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 9, 2-3. 6 và 16. 8-9","response":"Ðáp: Chúa công minh thống trị địa cầu","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, con sẽ kể ra mọi điều lạ lùng của Chúa. Con sẽ mừng rỡ hân hoan trong Chúa, con sẽ đàn ca danh Ngài, lạy Ðấng Tối Cao.","Xướng: Chúa trách phạt chư dân, diệt vong đứa ác, bôi nhoà tên tuổi chúng tới muôn đời. Người chư dân rơi chìm xuống hố mà họ đã đào, chân họ mắc vào cái bẫy mà họ đã che.","Xướng: Nhưng Chúa ngự trị tới muôn đời, Ngài dựng vững ngai vàng ngõ hầu cai trị. Ngài công minh thống trị địa cầu, Ngài chính trực xét xử chư dân."]},"alleluia":{"verse":"Lc 19, 38","content":"alleluia! – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến! Bình an trên trời, và vinh quang trên các tầng trời! – Alleluia."},"gospel":{"excerpt":"Lc 11, 15-26","info":"“Nếu Ta nhờ ngón tay Thiên Chúa mà trừ quỷ, ắt là nước Thiên Chúa đã đến giữa các ngươi rồi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, (lúc Chúa Giêsu trừ quỷ), thì có mấy người trong dân chúng nói rằng: “Ông ta nhờ tướng quỷ Bêelgiêbút mà trừ quỷ”. Mấy kẻ khác muốn thử Người, nên xin Người một dấu lạ từ trời xuống.\rNhưng Người biết ý của họ, liền phán: “Nước nào tự chia rẽ, sẽ diệt vong, và nhà cửa sẽ sụp đổ chồng chất lên nhau. Vậy nếu Satan cũng tự chia rẽ, thì nước nó làm sao đứng vững được? Bởi các ngươi bảo Ta nhờ Bêelgiêbút mà trừ quỷ, vậy nếu Ta nhờ Bêelgiêbút mà trừ quỷ, thì con cái các ngươi nhờ ai mà trừ? Bởi đó chính con cái các ngươi sẽ xét xử các ngươi. Nhưng nếu Ta nhờ ngón tay Thiên Chúa mà trừ quỷ, ắt là nước Thiên Chúa đã đến giữa các ngươi rồi.\r“Khi có người khoẻ mạnh và võ trang đầy đủ canh giữ nhà mình, thì của cải người đó được an toàn. Nhưng nếu có người mạnh hơn xông đến đánh bại hắn, thì sẽ tước hết khí giới hắn tin tưởng, và làm tiêu tán hết những gì đã tước đoạt. Ai không thuận với Ta là nghịch cùng Ta, và ai không thu góp với Ta là phân tán.\r“Khi thần ô uế ra khỏi người nào, thì nó đi dông dài những nơi khô ráo, tìm chỗ nghỉ ngơi, nhưng không tìm được, nên nó nói rằng: “Ta sẽ trở lại nhà ta, nơi ta đã ra đi”. Khi đến nơi, nó thấy nhà đó đã được quét sạch và sắp đặt ngăn nắp. Bấy giờ nó đi rủ bảy tà thần khác hung ác hơn nó, chúng vào cư ngụ ở đó. Và tình trạng sau cùng của người ấy trở nên tệ hại hơn trước”.","end":"Ðó là lời Chúa"}},
+        "5276": {"firstReading":{"excerpt":"(Năm I) Ge 3, 12-21","info":"“Các ngươi hãy tra lưỡi hái, vì mùa gặt đã tới”.","title":"Trích sách Tiên tri Giôel.","content":"Ðây Chúa phán: “Các dân hãy chỗi dậy và tiến đến đồng Giosaphát: vì Ta sẽ ngự nơi đó để phán xét mọi dân tộc chung quanh. Các ngươi hãy tra lưỡi hái, vì mùa gặt đã tới. Này, các ngươi hãy xuống đi, vì bàn ép đã đầy, các chum đã tràn, vì tội ác của chúng đã gia tăng.\r“Có vô số dân tộc trong cánh đồng giết chóc: vì ngày Chúa đến trong cánh đồng giết chóc đã gần. Mặt trời mặt trăng đã ra tối tăm, các vì sao đã mất ánh sáng. Từ Sion, Chúa sẽ hét to, và từ Giêrusalem, tiếng Người sẽ vọng ra: trời đất sẽ rung chuyển và Chúa sẽ là niềm cậy trông của dân Người, là sức mạnh của con cái Israel. Các ngươi sẽ biết rằng Ta là Thiên Chúa các ngươi, đang ngự trên Sion, núi thánh của Ta: Giêrusalem sẽ là thành thánh và các ngoại kiều không còn lai vãng qua đó nữa.\r“Trong ngày ấy, sẽ xảy ra là các núi sẽ nhỏ mật ngọt, các đồi sẽ chảy ra sữa; nước sẽ chảy qua các sông ở Giuđa, mạch nước từ đền thờ Chúa sẽ chảy ra tưới suối gai góc. Ai-cập sẽ trở nên hoang vu; Iđumê sẽ trở thành rừng bị tiêu huỷ: lý do là tại chúng ngược đãi con cái Giuđa, và đổ máu vô tội trong lãnh thổ của chúng. Còn đất Giuđa sẽ có người cư ngụ đời đời, và Giêrusalem cũng sẽ có người cư ngụ từ đời nọ tới đời kia. Ta sẽ rửa sạch máu chúng mà trước Ta chưa rửa sạch, và Chúa sẽ ngự tại Sion”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2. 5-6. 11-12","response":"Ðáp: Người hiền đức, hãy mừng vui trong Chúa!","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan; hải đảo muôn ngàn, hãy mừng vui! Mây khói và sương mù bao toả chung quanh, công minh chính trực là nền kê ngai báu.","Xướng: Núi non vỡ lở như mẩu sáp ong trước thiên nhan, trước thiên nhan Chúa tể toàn cõi đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người.","Xướng: Sáng sủa bừng lên cho người hiền đức, và niềm hoan hỉ cho kẻ lòng ngay. Người hiền đức, hãy mừng vui trong Chúa, và hãy ca tụng thánh danh Người!"]},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"alleluia! – Ngôi Lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Phúc thay kẻ lắng nghe và tuân giữ lời Thiên Chúa – Alleluia."},"gospel":{"excerpt":"Lc 11, 27-28","info":"“Phúc cho dạ đã cưu mang Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đang giảng cho dân chúng, thì từ giữa đám dân chúng, có một phụ nữ cất tiếng nói rằng: “Phúc cho dạ đã cưu mang Thầy và vú đã cho Thầy bú!” Nhưng Người phán rằng: “Những ai nghe và giữ lời Thiên Chúa thì có phúc hơn”.","end":"Ðó là lời Chúa"}},
+        "5281": {"firstReading":{"excerpt":"(Năm I) Rm 1, 1-7","info":"“Nhờ Ðức Kitô, chúng tôi đã nhận ân sủng và chức vụ tông đồ, chúng tôi quy phục mọi dân tộc về đức tin”.","title":"Khởi đầu bức thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Phaolô, tôi tớ Chúa Giêsu Kitô, đã được kêu gọi làm Tông đồ và đã được tuyển chọn để rao giảng tin mừng Thiên Chúa. Tin mừng ấy Thiên Chúa đã hứa trước bằng lời các tiên tri trong Kinh Thánh về Con của Người; Người đã sinh ra theo huyết nhục bởi dòng dõi Ðavít, đã được tiền định là Con Thiên Chúa quyền năng theo Thánh Thần, đã sống lại từ cõi chết. Ðó chính là Ðức Giêsu Kitô, Chúa chúng ta, nhờ Người, chúng tôi đã nhận ân sủng và chức vụ tông đồ, để nhân danh Người, chúng tôi quy phục mọi dân tộc về Ðức Tin, trong đó có cả anh em là những người mà Chúa Giêsu Kitô đã kêu gọi.\rTôi chúc tất cả mọi người trong thành Rôma, được Thiên Chúa yêu mến và kêu gọi nên thánh, được ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người; trước mặt chư dân Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu, hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca!"]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 11, 29-32","info":"“Không ban cho dòng giống này điềm lạ nào ngoài điềm lạ của tiên tri Giona”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, thấy dân chúng từng đoàn lũ tụ tập lại, Chúa Giêsu phán rằng: “Dòng giống này là dòng giống gian ác. Chúng đòi điềm lạ, nhưng sẽ không ban cho chúng điềm lạ nào, ngoài điềm lạ của tiên tri Giona. Vì Giona đã nên điềm lạ cho dân thành Ninivê thế nào, thì Con Người cũng sẽ là điềm lạ cho dòng giống này như vậy. Ðến ngày phán xét, nữ hoàng phương nam sẽ đứng lên tố cáo và lên án dòng giống này, vì bà đã từ tận cùng trái đất mà đến nghe sự khôn ngoan của Salomon. Nhưng ở đây còn có người hơn Salomon. Dân thành Ninivê cũng sẽ đứng lên tố cáo và lên án dòng giống này, vì họ đã sám hối theo lời Giona giảng, nhưng ở đây còn có người hơn Giona nữa”.","end":"Ðó là lời Chúa"}},
+        "5282": {"firstReading":{"excerpt":"(Năm I) Rm 1, 16-25","info":"“Dẫu loài người biết Thiên Chúa, họ không tôn vinh Người cho xứng với Thiên Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi không hổ thẹn đạo Phúc Âm: vì đó là sức mạnh của Thiên Chúa để cứu độ mọi kẻ có lòng tin, trước là người Do-thái, sau là người Hy-lạp. Vì trong đó, đức công chính của Thiên Chúa được tỏ ra bởi đức tin, nhằm vào đức tin, như có lời chép rằng: “Người công chính sống bởi đức tin”.\rQuả thực, cơn thịnh nộ của Thiên Chúa từ trời cao hiện ra trừng phạt những người vô đạo, bất công, cầm giữ chân lý của Thiên Chúa trong đường tà: vì chưng hễ sự gì có thể biết được về Thiên Chúa, thì đã được biểu lộ trong họ rồi, bởi Thiên Chúa đã tỏ bày cho họ. Từ khi sáng tạo thế gian, qua những loài thụ tạo, họ đã có thể nhìn nhận, hiểu biết những sự không trông thấy được của Thiên Chúa, nhất là quyền năng đời đời và thiên tính của Người, nên họ không thể chữa mình được. Vì dẫu họ biết Thiên Chúa, họ không tôn vinh, không cảm tạ Người cho xứng với Thiên Chúa, song họ đã lầm lạc trong những hư tưởng của họ, và tâm trạng ngu muội của họ đã ra mù tối. Họ tự khoe là khôn ngoan, nhưng họ đã hoá ra điên dại. Họ đã hoán đổi vinh quang của Thiên Chúa bất hủ ra giống như hình ảnh của loài người hay chết và của loài chim, loài thú bốn chân và rắn rết. Vì thế, Thiên Chúa để mặc cho họ buông theo lòng dục vọng tìm sự dâm ô, thậm chí làm ô nhục đến chính bản thân họ. Họ là những người đã hoán đổi sự chân thật của Thiên Chúa ra sự dối trá, đã thờ tự và phụng sự loài thọ tạo thay vì Ðấng Tạo Hoá, Người đáng chúc tụng muôn đời. Amen!","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Ðáp: Trời xanh tường thuật vinh quang Thiên Chúa (c. 2a).","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa, thanh không kể ra sự nghiệp tay Người. Ngày này nhắc nhủ cho ngày khác, đêm này truyền tụng cho đêm kia.","Xướng: Ðây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu."]},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"alleluia! – Lạy Chúa, lời Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 11, 37-41","title":"“Hãy bố thí, thì mọi sự sẽ nên trong sạch cho các ông.”","content":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.\rKhi ấy, lúc Chúa Giêsu còn đang nói, thì có một người biệt phái mời Người dùng bữa tại nhà ông. Người đi vào và ngồi bàn ăn. Nhưng người biệt phái ngạc nhiên, nghĩ trong lòng rằng tại sao Người không rửa tay trước khi dùng bữa.\rBấy giờ Chúa phán cùng ông ấy rằng: “Này các ông, những người biệt phái, các ông lau rửa bên ngoài chén đĩa, nhưng nội tâm các ông đầy tham lam và gian ác. Hỡi những kẻ ngu dại, chớ thì Ðấng đã tạo thành cái bên ngoài, lại chẳng tạo thành cả cái bên trong sao? Hãy đem những cái bên trong ra mà bố thí, thì mọi sự sẽ nên trong sạch cho các ông”.","end":"Ðó là lời Chúa"}},
+        "5283": {"firstReading":{"excerpt":"(Năm I) Rm 2, 1-11","info":"“Người sẽ trả lại cho ai nấy theo công việc họ đã làm, trước là những người Do-thái, sau là những người Hy-lạp”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Hỡi con người kia, hễ ngươi xét đoán, thì ngươi không thể chữa mình được đâu. Vì ngươi xét đoán kẻ khác thế nào, thì ngươi tự lên án mình như vậy: bởi lẽ ngươi cũng phạm điều ngươi lên án. Chúng ta đều biết Thiên Chúa căn cứ theo chân lý mà xét đoán những kẻ hành động như thế.\rHỡi con người kia, ngươi xét đoán những kẻ hành động thể ấy, mà chính mình ngươi cũng làm, ngươi nghĩ rằng: ngươi thoát khỏi án phạt của Thiên Chúa được sao? Hay là ngươi khinh thị lòng nhân hậu, nhẫn nại và khoan dung của Người? Ngươi chẳng biết rằng lòng nhân lành của Thiên Chúa phải thối thúc ngươi hối cải sao?\rThật bởi lòng ngươi chai đá, không chịu hối cải, ngươi chỉ tích trữ cho mình cơn thịnh nộ trong ngày thịnh nộ, ngày sẽ tỏ ra thẩm phán công bình của Thiên Chúa, Ðấng sẽ trả lại cho ai nấy tuỳ theo công việc họ đã làm, vì hễ những ai bền đỗ làm lành, tìm kiếm vinh quang, danh dự và ơn bất tử, thì sẽ được sống đời đời; còn những ai ương ngạnh, không vâng phục chân lý, mà lại tin theo sự gian ác, thì sẽ gặp cơn thịnh nộ và giận dữ.\rHễ kẻ nào làm sự dữ, thì mắc phải gian nan phiền muộn, trước là những người Do-thái, sau là những người Hy-lạp: vì Thiên Chúa không thiên tư tây vị ai cả.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 61, 2-3. 6-7. 9","response":"Ðáp: Lạy Chúa, Chúa sẽ trả công mỗi người theo như việc họ làm (c. 13b).","verses":["Xướng: Duy nơi Thiên Chúa, linh hồn tôi được an vui; do chính mình Người, tôi được ơn cứu độ. Phải, chính Chúa là Ðá tảng, là ơn cứu độ của tôi, Người là chiến luỹ của tôi, tôi sẽ không hề nao núng.","Xướng: Nơi Thiên Chúa, linh hồn tôi ơi, hãy an vui, vì do Người, tôi được điều tôi trông đợi. Phải, chính Chúa là Ðá tảng, là ơn cứu độ của tôi, Người là chiến luỹ của tôi, tôi sẽ không hề nao núng.","Xướng: Hỡi dân tộc, hãy trông cậy Người luôn mọi lúc, hãy đổ giốc niềm tâm sự trước nhan Người, vì Thiên Chúa là nơi ta nương náu."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 11, 42-46","info":"“Khốn cho các ngươi, hỡi những người biệt phái, và khốn cho các ngươi, hỡi những tiến sĩ luật”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa phán rằng: “Khốn cho các ngươi, hỡi những người biệt phái! Vì các ngươi nộp thuế thập phân, bạc hà, vân hương, và các thứ rau, mà lại bỏ qua đức công bình và lòng yêu mến Thiên Chúa: Phải thi hành những điều này, và không được bỏ những điều kia. Khốn cho các ngươi, hỡi những người biệt phái! Vì các ngươi ưa thích ngồi ghế nhất trong các hội đường, và ưa thích được chào hỏi ngoài phố chợ. Khốn cho các ngươi, vì các ngươi giống những mồ mả không rõ rệt, người ta bước đi ở trên mà không hay biết!”\rCó một tiến sĩ luật trả lời Người rằng: “Thưa Thầy, Thầy nói như thế là Thầy sỉ nhục cả chúng tôi nữa”. Người đáp lại rằng: “Hỡi những tiến sĩ luật, khốn cho các ngươi nữa! Vì các ngươi chất lên người ta những gánh nặng không thể vác được, mà chính các ngươi dù một ngón tay cũng không động tới”.","end":"Ðó là lời Chúa"}},
+        "5284": {"firstReading":{"excerpt":"(Năm I) Rm 3, 21-30a","info":"“Con người nhờ đức tin mà được công chính hoá, chứ không phải bởi việc làm theo lề luật”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, hiện giờ sự công chính của Thiên Chúa đã tỏ hiện không tuỳ vào lề luật, nhưng có lề luật và các tiên tri làm chứng. Sự công chính của Thiên Chúa nhờ tin vào Ðức Giêsu Kitô sẽ ban cho mọi kẻ tin vào Người, không có gì phân biệt: vì mọi người đều phạm tội và đã thiếu mất vinh quang của Thiên Chúa, họ được công chính hoá cách nhưng không, do ơn nghĩa của Người và nhờ sự cứu chuộc nơi Ðức Giêsu Kitô, Ðấng Thiên Chúa đã đặt làm của lễ đền tội, nhờ tin vào máu của Người, để tỏ cho thấy đức công chính của Người, bởi Người tha thứ những tội đã phạm khi trước, trong thời kỳ nhịn nhục của Thiên Chúa, ngõ hầu tỏ ra đức công chính của Người trong lúc này, để tỏ ra chính Người là Ðấng công chính và công chính hoá người tin vào Ðức Giêsu Kitô.\rVậy đâu là việc tự hào của ngươi? Nó đã bị loại đi rồi. Bởi lề luật nào? Có phải lề luật chỉ việc làm không? Không phải, song là bởi lề luật đức tin. Quả thế, chúng tôi thâm tín rằng: con người nhờ đức tin mà được công chính hoá, chứ không phải bởi việc làm theo lề luật. Hay là Thiên Chúa chỉ là Thiên Chúa của người Do-thái thôi sao? Người không phải là Thiên Chúa các dân ngoại nữa sao? Ắt hẳn Người là Thiên Chúa các dân ngoại nữa: vì chỉ có một Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 129, 1-2. 3-4ab. 4c-5","response":"Ðáp: Bởi vì Chúa rộng lượng từ bi, và Chúa rất giầu ơn cứu độ","verses":["Xướng: Từ vực sâu, lạy Chúa, con kêu lên Chúa. Lạy Chúa, xin nghe tiếng con cầu! Dám xin Chúa hãy lắng tai, hầu nghe thấu tiếng van nài của con.","Xướng: Nếu Chúa nhớ hoài sự lỗi, lạy Chúa, nào ai chịu nổi được ư? Nhưng Chúa thường rộng lượng thứ tha, để cho thiên hạ tôn thờ kính yêu.","Xướng: Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Ngài. Linh hồn con mong đợi Chúa, hơn người lính gác mong trời rạng đông. Hơn lính gác mong hừng đông dậy, Israel đang mong đợi Chúa."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Lc 11, 47-54","info":"“Sẽ bị đòi nợ máu của các tiên tri đã đổ ra, kể từ máu của Abel cho đến máu của Giacaria”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa phán: “Khốn cho các ngươi! Hỡi những người xây cất mồ mả các tiên tri, mà tổ phụ các ngươi đã giết chết. Thật, các ngươi làm chứng và tán thành những hành động của tổ phụ các ngươi: vì thực ra họ đã giết các vị tiên tri, còn các ngươi thì xây mồ mả cho họ. Bởi đó mà sự Khôn Ngoan của Thiên Chúa đã nói: Ta sẽ sai đến với chúng các tiên tri và các tông đồ, trong số các vị đó, người thì chúng giết đi, người thì chúng bách hại, khiến cho dòng giống này sẽ bị đòi nợ máu của tất cả các tiên tri đã đổ ra từ lúc tạo thành vũ trụ, kể từ máu của Abel cho đến máu của Giacaria, người đã bị sát hại giữa bàn thờ và thánh điện. Phải, Ta bảo các ngươi, dòng giống này sẽ bị đòi nợ máu. Khốn cho các ngươi! Hỡi những tiến sĩ luật, vì các ngươi cất giữ chìa khoá sự hiểu biết. Chính các ngươi đã không được vào, mà những người muốn vào, các ngươi đã ngăn cản họ lại”.\rKhi người phán bảo cùng các biệt phái và tiến sĩ luật những lời đó, thì họ bắt đầu oán ghét Người một cách ghê gớm, và chất vấn Người về nhiều vấn đề, cố gài bẫy Người để may ra bắt bẻ được lời gì do miệng Người thốt ra chăng.","end":"Ðó là lời Chúa"}},
+        "5285": {"firstReading":{"excerpt":"(Năm I) Rm 4, 1-8","info":"“Abraham đã tin vào Thiên Chúa và điều đó kể cho ông như sự công chính”.","title":"Trích thư Thánh Phaolô Tồng đồ gửi tín hữu Rôma.","content":"Anh em thân mến, chúng ta phải nói gì về chuyện Abraham, tổ phụ theo huyết nhục của chúng ta đã gặp thấy? Nếu như Abraham nhờ việc làm mà được nên công chính, thì ông có lý mà tự hào, nhưng không phải tự hào trước mặt Thiên Chúa. Vì Thánh Kinh nói gì? Abraham đã tin vào Thiên Chúa, và điều đó được kể cho ông như sự công chính.\rÐối với người thợ làm việc, tiền công không kể được là ân huệ, nhưng là một món nợ. Còn đối với người không làm việc, nhưng tin vào Ðấng làm cho người ác nên công chính, thì đức tin của kẻ ấy được kể như là sự công chính, theo ơn Thiên Chúa phân định.\rCũng như Ðavít tuyên bố là phúc đức con người được Thiên Chúa kể là công chính, không cần có việc làm, mà rằng: “Phúc cho những ai được tha thứ sự gian ác, và được che lấp các tội lỗi. Phúc cho người Chúa không chấp nhất sự tội”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 31, 1-2. 5. 11","response":"Ðáp: Chúa là chỗ dung thân; Chúa đùm bọc tôi trong niềm vui ơn cứu độ","verses":["Xướng: Phúc thay người được tha thứ lỗi lầm, và tội phạm của người được ơn che đậy! Phúc thay người mà Chúa không trách cứ lỗi lầm, và trong lòng người đó chẳng có mưu gian.","Xướng: Tôi xưng ra cùng Chúa tội phạm của tôi, và lỗi lầm của tôi, tôi đã không che giấu. Tôi nói: “Con thú thực cùng Chúa điều gian ác của con, và Chúa đã tha thứ tội lỗi cho con”.","Xướng: Chư vị hiền nhân, hãy vui mừng hân hoan trong Chúa, và mọi người lòng ngay hãy hớn hở reo mừng!"]},"alleluia":{"verse":"Dt 4, 12","content":"alleluia! – Lời Thiên Chúa là lời hằng sống, linh nghiệm, phân rẽ tư tưởng và ý muốn của tâm hồn. – Alleluia."},"gospel":{"excerpt":"Lc 12, 1-7","info":"“Mọi sợi tóc trên đều các con cũng đã được đếm cả rồi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có nhiều đám đông dân chúng đứng chung quanh, đến nỗi chen đạp lẫn nhau, nên Chúa Giêsu bắt đầu dạy các môn đệ trước tiên rằng: “Các con hãy ý tứ giữ mình khỏi men biệt phái, nghĩa là sự giả hình. Không có gì che đậy mà không bị tiết lộ ra, và không có gì giấu kín mà chẳng biết được. Vì vậy, những điều các con nói trong nơi tối tăm, sẽ được nói ra nơi sáng sủa, và điều các con nói rỉ tai trong buồng kín, sẽ được rao giảng trên mái nhà.\r“Thầy bảo các con là những bạn hữu của Thầy rằng: Các con đừng sợ chi những kẻ giết được thân xác, rồi sau đó không thể làm gì hơn được nữa. Thầy sẽ chỉ cho các con biết phải sợ ai: Hãy sợ Ðấng, sau khi đã giết chết, còn có quyền ném vào địa ngục. Phải, Thầy bảo các con hãy sợ Ðấng ấy.\r“Chớ thì năm con chim sẻ không bán được hai đồng tiền sao? Thế mà không một con nào bị bỏ quên trước mặt Thiên Chúa. Hơn nữa, mọi sợi tóc trên đầu các con cũng đã được đếm cả rồi. Vậy các con đừng sợ: các con còn trọng hơn nhiều con chim sẻ”.","end":"Ðó là lời Chúa"}},
+        "5286": {"firstReading":{"excerpt":"(Năm I) Rm 4, 13. 16-18","info":"“Mặc dầu tuyệt vọng, ông vẫn tin”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, không phải nhờ lề luật mới có lời hứa ban cho Abraham hay dòng dõi của ông trở nên kẻ thừa kế thế gian, nhưng là nhờ sự công chính của đức tin. Vì thế, do đức tin, được coi như là theo ân sủng, lời hứa cho mọi dòng dõi được vững bền, không phải chỉ cho kẻ sinh bởi lề luật, mà còn cho kẻ sinh bởi đức tin của Abraham, tổ phụ của mọi người chúng ta, như có lời chép rằng: “Ta đã đặt ngươi làm cha nhiều dân tộc”. (Ông là cha chúng ta) trước mặt Thiên Chúa, Ðấng ông đã tin, Ðấng cho kẻ chết sống lại, và kêu gọi cái không có như có. Mặc dầu tuyệt vọng, ông vẫn tin rằng mình sẽ trở thành cha nhiều dân tộc, như có lời đã phán với ông rằng: “Dòng dõi ngươi sẽ như thế”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 6-7. 8-9. 42-43","response":"Ðáp: Tới muôn đời Chúa vẫn nhớ lời minh ước","verses":["Xướng: Hỡi miêu duệ Abraham là tôi tớ của Ngài, hỡi con cháu Giacóp, những người được Ngài kén chọn, chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Ngài bao trùm khắp cả địa cầu.","Xướng: Tới muôn đời Ngài vẫn nhớ lời minh ước, lời hứa mà Ngài đã an bài tới muôn thế hệ, lời minh ước Ngài đã ký cùng Abraham, lời thề hứa Ngài đã thề với Isaac.","Xướng: Vì Ngài đã nhớ lời thánh thiện của Ngài, lời Ngài đã ban bố cùng Abraham là tôi tớ Ngài. Ngài đã đưa dân tộc Ngài ra đi trong niềm vui vẻ, đưa những kẻ Ngài kén chọn ra đi trong tiếng hân hoan."]},"alleluia":{"verse":"Gc 1, 18","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia."},"gospel":{"excerpt":"Lc 12, 8-12","info":"“Trong giờ ấy, Thánh Thần sẽ dạy các con phải nói thế nào”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hễ ai xưng nhận Thầy trước mặt người đời, thì Con Người cũng sẽ xưng nhận nó trước mặt các thiên thần của Thiên Chúa; nhưng ai chối bỏ Thầy trước mặt người đời, thì sẽ bị chối bỏ trước mặt thiên thần của Thiên Chúa. Và hễ kẻ nào nói phạm đến Con Người, thì nó sẽ được tha. Nhưng kẻ nào nói phạm thượng đến Thánh Thần, thì sẽ không được tha.\r“Khi người ta điệu các con vào các hội đường, đến trước mặt vua quan và chính quyền, các con chớ lo lắng phải thưa làm sao, hay phải nói thế nào, vì trong giờ ấy, Thánh Thần sẽ dạy các con phải nói thế nào”.","end":"Ðó là lời Chúa"}},
+        "5291": {"firstReading":{"excerpt":"(Năm I) Rm 4, 20-25","info":"“Có lời đã chép vì chúng ta là những kẻ được kể là tin vào Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, lòng tin của Abraham vào Thiên Chúa không nao núng, mặc dầu ông nhìn đến thân xác cằn cỗi của mình, — vì ông đã gần trăm tuổi, — và tuổi già tàn tạ của Sara. Ông đã không cứng lòng hồ nghi lời hứa của Thiên Chúa; trái lại, ông vững tin mà làm sáng danh Thiên Chúa, ông biết chắc chắn rằng Thiên Chúa có quyền năng thi hành điều Người đã hứa. Bởi đấy, “việc đó đã được kể cho ông là sự công chính”.\rVà khi chép rằng “Ðã được kể cho ông”, thì không phải chỉ chép vì ông mà thôi, mà vì chúng ta nữa, là những kẻ tin vào Ðấng đã cho Ðức Giêsu Kitô, Chúa chúng ta, từ cõi chết sống lại, Người đã bị nộp vì tội lỗi chúng ta, và đã sống lại để chúng ta được công chính hoá.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1, 69-70. 71-72. 73-75","response":"Ðáp: Chúc tụng Chúa là Thiên Chúa của Israel, vì Chúa đã viếng thăm và cứu chuộc dân Người","verses":["Xướng: Chúa đã gầy dựng cho chúng tôi một uy quyền cứu độ, trong nhà Ðavít là tôi tớ Chúa. Như Người đã phán qua miệng các thánh nhân từ ngàn xưa, là tiên tri của Chúa.","Xướng: Ðể giải phóng chúng tôi khỏi quân thù, và khỏi tay những người ghen ghét chúng tôi. Ðể tỏ lòng từ bi với tổ tiên chúng tôi, và nhớ lại lời thánh ước của Người.","Xướng: Lời minh ước mà Người tuyên thệ với Abraham tổ phụ chúng tôi, rằng Người cho chúng tôi được không sợ hãi, sau khi thoát khỏi tay quân thù. Phục vụ Người trong thánh thiện và công chính, trước tôn nhan Người, trọn đời sống chúng tôi."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 12, 13-21","info":"“Những của ngươi tích trữ sẽ để lại cho ai?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có người trong đám đông thưa cùng Chúa Giêsu rằng: “Lạy Thầy, xin Thầy bảo anh tôi chia gia tài cho tôi”. Người bảo kẻ ấy rằng: “Hỡi người kia, ai đã đặt Ta làm quan xét, hoặc làm người chia gia tài cho các ngươi?” Rồi người bảo họ rằng: “Các ngươi hãy coi chừng, giữ mình tránh mọi thứ tham lam: vì chẳng phải sung túc mà đời sống được của cải bảo đảm cho đâu”.\rNgười lại nói với họ thí dụ này rằng: “Một người phú hộ kia có ruộng đất sinh nhiều hoa lợi, nên suy tính trong lòng rằng: “Tôi sẽ làm gì đây, vì tôi còn chỗ đâu mà tích trữ hoa lợi?” Ðoạn người ấy nói: “Tôi sẽ làm thế này, là phá các kho lẫm của tôi, mà xây những cái lớn hơn, rồi chất tất cả lúa thóc và của cải tôi vào đó, và tôi sẽ bảo linh hồn tôi rằng: “Hỡi linh hồn, ngươi có nhiều của cải dự trữ cho nhiều năm: ngươi hãy nghỉ ngơi, ăn uống vui chơi đi!” Nhưng Thiên Chúa bảo nó rằng: “Hỡi kẻ ngu dại, đêm nay người ta sẽ đòi linh hồn ngươi, thế thì những của ngươi tích trữ sẽ để lại cho ai?” Vì kẻ tích trữ của cải cho mình, mà không làm giàu trước mặt Chúa, thì cũng vậy”.","end":"Ðó là lời Chúa"}},
+        "5292": {"firstReading":{"excerpt":"(Năm I) Rm 5, 12. 15b. 17-19. 20b-21","info":"“Nếu bởi tội của một người mà sự chết đã thống trị, thì càng được thống trị hơn nữa trong sự sống do một Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, cũng như do một người mà tội lỗi đã nhập vào thế gian, và do tội lỗi có sự chết, và thế là sự chết đã truyền đến mọi người, vì lẽ rằng mọi người đã phạm tội. Vì nếu bởi tội của một người mà nhiều người phải chết, thì ân sủng của Thiên Chúa và ơn huệ kèm trong ân sủng của một người, là Ðức Giêsu Kitô, càng tràn ngập chan chứa hơn nữa tới nhiều người. Vì nếu bởi tội của một người mà sự chết đã thống trị do một người đó, thì những người lãnh được ân sủng và ơn huệ dồi dào bởi đức công chính, càng được thống trị hơn nữa trong sự sống do một người là Ðức Giêsu Kitô.\rDo đó, tội của một người truyền đến mọi người, đưa tới án phạt như thế nào, thì đức công chính của một người truyền sang mọi người, đưa tới bậc công chính ban sự sống cũng như thế. Vì như bởi tội không vâng lời của một người mà muôn người trở thành những tội nhân thế nào, thì do đức vâng lời của một người mà muôn người trở thành kẻ công chính cũng như thế.\rNhưng ở đâu càng đầy tràn tội lỗi, thì ở đó càng tràn đầy dư dật ân sủng: để như tội lỗi đã thống trị làm cho người ta chết thế nào, thì nhờ đức công chính, ân sủng sẽ thống trị làm cho người ta sống đời đời do Ðức Giêsu Kitô, Chúa chúng ta, cũng như vậy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 17","response":"Ðáp: Lạy Chúa, này con xin đến để thực thi ý Chúa","verses":["Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở tai con. Chúa không đòi hỏi lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong Quyển Vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong đại hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi. .","Xướng: Hãy mừng vui hoan hỉ trong Chúa, bao nhiêu kẻ tìm Chúa, và luôn luôn nói: Chúa thực là cao cả! Bao nhiêu kẻ mong ơn phù trợ của Ngài."]},"alleluia":{"verse":"Ga 17, 17b và a","content":"alleluia! – Chúa phán: “Lời Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Anh em hãy tỉnh thức và cầu nguyện luôn, hầu đủ sức đững vững trước mặt Con Người – Alleluia."},"gospel":{"excerpt":"Lc 12, 35-38","info":"“Phúc cho đầy tớ nào khi chủ về còn thấy tỉnh thức”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy thắt lưng, hãy cầm đèn cháy sáng trong tay, và hãy làm như người đợi chủ đi ăn cưới về, để khi chủ về gõ cửa, thì mở ngay cho chủ. Phúc cho những đầy tớ nào khi chủ về còn thấy tỉnh thức. Thầy bảo thật các con, chủ sẽ thắt lưng, xếp chúng vào bàn ăn, và đi lại hầu hạ chúng. Nếu canh hai hoặc canh ba, chủ trở về mà gặp thấy như vậy, thì phúc cho các đầy tớ ấy”.","end":"Ðó là lời Chúa"}},
+        "5293": {"firstReading":{"excerpt":"(Năm I) Rm 6, 12-18","info":"“Anh em hãy hiến thân cho Thiên Chúa như những người từ cõi chết sống lại”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, nguyện cho tội lỗi đừng thống trị trong xác hay chết của anh em, khiến anh em phải vâng phục những dục vọng của nó. Anh em cũng đừng dùng các chi thể anh em làm khí giới của gian tà để phục vụ tội lỗi, nhưng hãy hiến thân cho Thiên Chúa như những người từ trong cõi chết sống lại, và hãy hiến dâng các chi thể anh em làm khí giới đức công chính để phục vụ Thiên Chúa. Vì chưng, tội lỗi không còn bá chủ được anh em: bởi anh em không còn ở dưới chế độ lề luật, nhưng dưới chế độ ân sủng.\rThế nghĩa là gì? Nào chúng ta cứ phạm tội đi, vì chúng ta không ở dưới chế độ lề luật, nhưng dưới chế độ ân sủng ư? Không phải thế! Chớ thì anh em chẳng biết rằng: hễ anh em hiến thân làm nô lệ để vâng phục ai, thì anh em là nô lệ của kẻ anh em vâng phục đó sao? hoặc là nô lệ của tội lỗi để rồi phải chết, hoặc là nộ lệ của đức vâng lời để rồi được nên công chính? Nhưng cảm tạ Thiên Chúa, vì xưa kia anh em là nô lệ của tội lỗi, mà nay anh em đã hết lòng vâng theo khuôn mẫu đạo lý đã truyền cho anh em noi giữ. Một khi anh em đã được giải phóng khỏi ách tội lỗi, anh em đã được nhận vào phục vụ đức công chính.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 123, 1-3. 4-6. 7-8","response":"Ðáp: Ơn phù trợ chúng tôi ở nơi danh Chúa","verses":["Xướng: Nếu như Chúa không che chở chúng tôi, – Israel hãy xướng (lên) – nếu như Chúa không che chở chúng tôi, khi thiên hạ cùng chúng tôi gây hấn, bấy giờ người ta đã nuốt sống chúng tôi rồi, khi họ bầng bầng giận dữ chúng tôi.","Xướng: Bấy giờ nước cả đã lôi cuốn mất, trào lưu đã ngập lút con người chúng tôi, bấy giờ sóng cả kiêu hùng đã ngập lút chúng tôi! Chúc tụng Chúa vì Ngài đã không để chúng tôi nên mồi trao đưa vào răng chúng.","Xướng: Hồn chúng tôi như cánh chim non, thoát khỏi lưới dò của người gài bẫy bắt chim. Lưới dò đã đứt gãy, và chúng tôi đã thoát thân. Ơn phù trợ chúng tôi ở nơi danh Chúa, là Ðấng tạo thành trời đất!"]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin mở rộng tầm con mắt của con, để quan chiêm những điều kỳ diệu trong luật Chúa. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! – Anh em hãy canh thức và hãy sẵn sàng, vì chính giờ phút anh em không ngờ, thì Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Lc 12, 39-48","info":"“Người ta đã ban cho ai nhiều, thì sẽ đòi lại kẻ ấy nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy hiểu biết điều này, là nếu chủ nhà biết giờ nào kẻ trộm đến, ắt sẽ tỉnh thức, không để nó đào ngạch nhà mình. Cho nên các con hãy sẵn sàng: vì giờ nào các con không ngờ, thì Con Người sẽ đến”.\rPhêrô thưa Người rằng: “Lạy Thầy, Thầy nói dụ ngôn đó chỉ về chúng con hay về mọi người?” Chúa phán: “Vậy con nghĩ ai là người quản lý trung tín khôn ngoan mà chủ đã đặt coi sóc gia nhân mình, để đến giờ phân phát phần lúa thóc cho họ? Phúc cho đầy tớ đó, khi chủ về, thấy nó đang làm như vậy. Thầy bảo thật các con, chủ sẽ đặt người đó trông coi tất cả gia sản mình. Nhưng nếu đầy tớ ấy nghĩ trong lòng rằng: “Chủ tôi về muộn”, nên đánh đập tớ trai tớ gái, ăn uống say sưa: chủ người đầy tớ ấy sẽ về vào ngày nó không ngờ, vào giờ nó không biết, chủ sẽ loại trừ nó, và bắt nó chung số phận với những kẻ bất trung. Nhưng đầy tớ nào đã biết ý chủ mình mà không chuẩn bị sẵn sàng, và không làm theo ý chủ, thì sẽ bị đòn nhiều. Còn đầy tớ nào không biết ý chủ mình mà làm những sự đáng trừng phạt, thì sẽ bị đòn ít hơn. Vì người ta đã ban cho ai nhiều, thì sẽ đòi lại kẻ ấy nhiều, và đã giao phó cho ai nhiều, thì sẽ đòi kẻ ấy nhiều hơn”.","end":"Ðó là lời Chúa"}},
+        "5294": {"firstReading":{"excerpt":"(Năm I) Rm 6, 19-23","info":"“Giờ đây anh em được thoát khỏi sự tội, được phục vụ Thiên Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi nói theo kiểu người phàm, bởi lẽ xác thịt anh em yếu đuối: như xưa anh em đã cống hiến chi thể anh em để làm nô lệ sự ô uế và sự gian ác, khiến anh em trở nên người gian ác thế nào, thì giờ đây anh em hãy cống hiến chi thể anh em để phục vụ đức công chính, hầu nên thánh thiện cũng như vậy. Vì xưa kia anh em làm nô lệ tội lỗi, thì anh em được tự do đối với đức công chính. Vậy thì bấy giờ anh em đã được những lợi ích gì do những việc mà giờ đây anh em phải hổ thẹn? Vì chung cục của những điều ấy là sự chết. Nhưng giờ đây, anh em được thoát khỏi sự tội, được phục vụ Thiên Chúa, thì anh em được những ích lợi đưa đến thánh thiện, mà chung cục là sự sống đời đời. Bởi vì lương bổng của tội lỗi là sự chết. Nhưng hồng ân của Thiên Chúa là sự sống đời đời trong Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Phúc thay người đặt niềm tin cậy vào Chúa","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa, lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy, họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":"Lc 19, 38","content":"alleluia! – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến; bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Lc 12, 49-53","info":"“Thầy không đến để đem bình an, nhưng đem sự chia rẽ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy đã đến đem lửa xuống thế gian, và Thầy mong muốn biết bao cho lửa cháy lên. Thầy phải chịu một phép rửa, và lòng Thầy khắc khoải biết bao cho đến khi hoàn tất. Các con tưởng Thầy đến để đem sự bình an xuống thế gian ư? Thầy bảo các con: không phải thế, nhưng Thầy đến để đem sự chia rẽ. Vì từ nay, năm người trong một nhà sẽ chia rẽ nhau, ba người chống lại hai, và hai người chống lại ba: cha chống đối con trai, và con trai chống đối cha; mẹ chống đối con gái, và con gái chống đối mẹ; mẹ chồng chống đối nàng dâu, và nàng dâu chống đối mẹ chồng”.","end":"Ðó là lời Chúa"}},
+        "5295": {"firstReading":{"excerpt":"(Năm I) Rm 7, 18-25a","info":"“Ai sẽ cứu tôi thoát khỏi cái xác chết này?”","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi biết rằng sự lành không ở trong tôi, nghĩa là trong huyết nhục của tôi. Vì chưng ước muốn thì tôi vẫn có, nhưng làm cho sự lành nên hoàn hảo thì không sao được. Bởi vì sự lành tôi muốn thì tôi không làm, còn sự dữ tôi không muốn thì tôi lại làm. Thực ra nếu tôi làm điều tôi không muốn, thì bấy giờ không phải chính tôi làm điều đó, nhưng là sự tội ở trong mình tôi. Thành ra khi tôi muốn làm sự lành, tôi nhận thấy trong tôi có lề luật, vì sự dữ vẫn kèm bên tôi. Theo như con người bên trong, tôi cũng ưa thích lề luật Thiên Chúa: nhưng tôi thấy trong chi thể tôi có một lề luật khác đối địch với lề luật tâm thần tôi, và giam hãm tôi dưới ách lề luật sự tội trong chi thể tôi. Tôi là con người vô phúc! Ai sẽ cứu tôi khỏi cái xác chết này? Cảm tạ Thiên Chúa, nhờ Ðức Giêsu Kitô, Chúa chúng ta. Như thế, chính tôi lấy tâm thần mà phục vụ lề luật Thiên Chúa; còn về xác thịt, thì vâng phục lề luật của sự tội.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 66. 68. 76. 77. 93. 94","response":"Ðáp: Lạy Chúa, xin dạy bảo con những thánh chỉ của Ngài","verses":["Xướng: Xin Chúa dạy con sự thông minh và lương tri, vì con tin cậy vào các chỉ thị của Ngài.","Xướng: Chúa là Ðấng tốt lành và nhân hậu, xin dạy bảo con những thánh chỉ của Ngài.","Xướng: Xin Chúa tỏ lòng thương hầu uỷ lạo con, theo như lời đã hứa cùng tôi tớ Chúa.","Xướng: Nguyện Chúa xót thương cho con được sống, vì luật pháp Ngài là sự sung sướng của con.","Xướng: Ðời đời con không quên những huấn lệnh của Ngài, bởi lẽ đó mà Ngài đã ban cho con được sống.","Xướng: Con thuộc về Chúa, xin Chúa cứu độ con, vì con tìm kiếm huấn lệnh của Ngài."]},"alleluia":{"verse":"Ga 15, 15b","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Lc 12, 54-59","info":"“Các ngươi biết tìm hiểu diện mạo trời đất? Còn về thời đại này, sao các ngươi không tìm hiểu?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán bảo dân chúng rằng: “Khi các ngươi xem thấy đám mây nổi lên ở phía tây, lập tức các ngươi nói rằng: Trời sắp mưa; và sự thật xảy ra như thế. Và khi gió nam thổi đến, thì các ngươi nói: Trời sắp nóng nực. Và việc đã xảy ra như thế. Hỡi những kẻ giả hình, các ngươi biết tìm hiểu diện mạo của trời đất, còn về thời đại này, sao các ngươi không tìm hiểu? Tại sao các ngươi không tự mình phê phán điều gì phải lẽ? Thế nên, khi ngươi cùng với kẻ đối phương ra trước mặt quan quyền, thì đang lúc đi dọc đường, ngươi hãy cố lo liệu cho ổn thoả với nó đi, kẻo nó lôi ngươi đến trước quan toà, và quan toà trao ngươi cho lý hình và lý hình tống ngươi vào ngục. Ta bảo cho ngươi hay, ngươi sẽ không thể ra khỏi đó cho đến khi nào trả xong đồng xu cuối cùng”.","end":"Ðó là lời Chúa"}},
+        "5296": {"firstReading":{"excerpt":"(Năm I) Rm 8, 1-11","info":"“Thánh Thần của Ðấng đã làm cho Ðức Giêsu Kitô từ cõi chết sống lại ở trong anh em”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, giờ đây không còn gì là án phạt dành cho những ai ở trong Ðức Giêsu Kitô: vì những kẻ ấy không còn sống theo xác thịt. Bởi chưng lề luật của Thánh Thần ban sự sống trong Ðức Giêsu Kitô, đã giải thoát tôi khỏi lề luật sự tội và sự chết. Ðiều mà lề luật không thể làm được, vì bị xác thịt làm cho ra yếu đi, thì Thiên Chúa sai Con của Người đến trong xác thịt giống như xác thịt tội lỗi, và để phản đối sự tội, Người đã luận phạt tội lỗi, và phản đối sự tội, Người đã luận phạt tội lỗi trong xác thịt, khiến cho ơn công chính của lề luật thành tựu đầy đủ trong chúng ta, là những người không còn sống theo xác thịt, nhưng theo tinh thần. Vì những ai sống theo xác thịt, thì tưởng ước những sự thuộc về xác thịt: còn những ai sống theo tinh thần, thì tưởng ước những sự thuộc về tinh thần. Mà tưởng ước của xác thịt là sự chết, còn tưởng ước của tâm thần là sự sống và bình an. Vì chưng sự khôn ngoan của xác thịt là thù nghịch với Thiên Chúa: bởi nó không tùng phục lề luật của Thiên Chúa: vả lại nó cũng không thể tùng phục được. Những kẻ sống theo xác thịt, thì không thể đẹp lòng Chúa. Còn anh em, anh em không sống theo xác thịt, nhưng sống theo tinh thần, nếu thật sự Thánh Thần Chúa ở trong anh em. Nếu ai không có Thánh Thần của Ðức Kitô, thì kẻ ấy không thuộc về Người. Nhưng nếu Ðức Kitô ở trong anh em, cho dù thân xác đã chết vì tội, nhưng tinh thần vẫn sống vì đức công chính. Và nếu Thánh Thần của Ðấng đã làm cho Ðức Giêsu Kitô từ cõi chết sống lại ở trong anh em, thì Ðấng đã làm cho Ðức Giêsu Kitô từ cõi chết sống lại cũng cho xác phàm hay chết của anh em được sống, nhờ Thánh Thần Người ngự trong anh em.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Lạy Chúa, đó là dòng dõi người tìm kiếm long nhan Chúa (c. 6).","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Người xây dựng nó trên biển cả, và Người giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Người? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Giacóp."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin mở rộng tầm con mắt của con, để quan chiêm những điều kỳ diệu trong luật Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 13, 1-9","info":"“Nếu các ngươi không ăn năn hối cải, thì tất cả các ngươi cũng sẽ bị huỷ diệt như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có những kẻ thuật lại cho Chúa Giêsu về việc quan Philatô giết mấy người Galilê, làm cho máu họ hoà lẫn với máu các vật họ tế sinh. Người lên tiếng bảo: “Các ngươi tưởng rằng mấy người xứ Galilê đó bị ngược đãi như vậy là những người tội lỗi hơn tất cả những người khác ở xứ Galilê ư? Ta bảo các ngươi: không phải thế. Nhưng nếu các ngươi không ăn năn hối cải, thì tất cả các ngươi cũng sẽ bị huỷ diệt như vậy. Cũng như mười tám người bị tháp Silôe đổ xuống đè chết, các ngươi tưởng họ tội lỗi hơn những người khác ở Giêrusalem ư? Ta bảo các ngươi: không phải thế; nhưng nếu các ngươi không ăn năn hối cải, thì tất cả các ngươi cũng sẽ bị huỷ diệt như vậy”.\rNgười còn nói với họ dụ ngôn này: “Có người trồng một cây vả trong vườn nho mình. Ông đến tìm quả ở cây đó mà không thấy, ông liền bảo người làm vườn rằng: Kìa, đã ba năm nay ta đến tìm quả cây vả này mà không thấy có. Anh hãy chặt nó đi, còn để nó choán đất làm gì!” Nhưng anh ta đáp rằng: “Thưa ông, xin để cho nó một năm nay nữa, tôi sẽ đào đất chung quanh và bón phân: may ra nó có quả chăng, bằng không năm tới ông sẽ chặt nó đi”.","end":"Ðó là lời Chúa"}},
+        "5301": {"firstReading":{"excerpt":"(Năm I) Rm 8, 12-17","info":"“Anh em đã nhận lãnh tinh thần nghĩa tử, trong tinh thần ấy, chúng ta kêu lên rằng: Abba, lạy Cha”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, chúng ta không phải là những kẻ mắc nợ xác thịt, để chúng ta sống theo xác thịt. Vì chưng, nếu anh em đã sống theo xác thịt, anh em sẽ phải chết; nhưng nếu nhờ thần trí mà anh em đã giết được các hành động thân xác, thì anh em sẽ được sống.2q\rNhững ai sống theo Thánh Thần Thiên Chúa, thì là con cái Thiên Chúa. Vì không phải anh em đã nhận tinh thần nô lệ trong sợ hãi nữa, nhưng đã nhận tinh thần nghĩa tử; trong tinh thần ấy, chúng ta kêu lên rằng: “Abba, lạy Cha”. Vì chính Thánh Thần đã làm chứng cho tâm trí chúng ta rằng chúng ta là con cái Thiên Chúa. Vậy nếu là con cái, thì cũng là những người thừa tự: nghĩa là thừa tự của Thiên Chúa, và đồng thừa tự với Ðức Kitô, vì chúng ta đồng chịu đau khổ với Người, để rồi chúng ta sẽ cùng hưởng vinh quang với Người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 67, 2 và 4. 6-7ab. 20-21","response":"Ðáp: Thiên Chúa chúng tôi là Thiên Chúa cứu độ","verses":["Xướng: Thiên Chúa đứng lên, quân thù của Người tan rã, và những kẻ ghét Người chạy trốn khỏi long nhan. Nhưng người hiền đức mừng rỡ hỉ hoan, trước nhan Thiên Chúa, họ mừng vui sung sướng.","Xướng: Là Cha kẻ mồ côi, là Ðấng bênh vực người quả phụ, Thiên Chúa ngự trong thánh điện của Người. Thiên Chúa tạo nhà cửa cho những người bị bỏ rơi, dẫn đưa những người tù tội ra nơi thịnh đạt.","Xướng: Chúc tụng Chúa ngày nọ qua ngày kia! Thiên Chúa là Ðấng cứu độ, Người vác đỡ gánh nặng chúng tôi. Thiên Chúa chúng tôi là Thiên Chúa cứu độ, Chúa là Thiên Chúa ban ơn giải thoát khỏi tay tử thần."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Lc 13, 10-17","info":"“Chớ thì không nên tháo xiềng xích buộc người con gái của Abraham này trong ngày Sabbat sao?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, nhân ngày Sabbat, Chúa Giêsu giảng dạy trong một hội đường. Và đây có một người đàn bà bị quỷ ám làm cho bà đau yếu đã mười tám năm. Bà bị khòm lưng, hoàn toàn không thể trông lên được. Khi Chúa Giêsu xem thấy bà, Người liền gọi bà đến mà bảo rằng: “Hỡi bà kia, bà được khỏi tật của bà”. Rồi Người đặt tay trên bà ấy, tức thì bà đứng thẳng lên và tôn vinh Thiên Chúa.\rNhưng viên trưởng hội đường tức giận, vì Chúa Giêsu chữa bệnh trong ngày Sabbat, nên ông cất tiếng bảo dân chúng rằng: “Có sáu ngày người ta phải làm việc: vậy thì các người hãy đến xin chữa bệnh trong ngày đó, chớ đừng đến trong ngày Sabbat”.\rChúa trả lời và bảo ông ta rằng: “Hỡi những kẻ giả hình, chớ thì trong ngày Sabbat, mỗi người trong các ông không thả bò hay lừa của mình ra khỏi chuồng mà dẫn nó đi uống nước sao? Phương chi người con gái của Abraham này, Satan cột trói nó đã mười tám năm nay, chớ thì không nên tháo xiềng xích buộc nó trong ngày Sabbat sao?”\rKhi Người nói thế, tất cả những kẻ chống đối Người đều hổ thẹn, và toàn dân vui mừng vì những việc lạ lùng Người đã thực hiện.","end":"Ðó là lời Chúa"}},
+        "5302": {"firstReading":{"excerpt":"(Năm I) Rm 8, 18-25","info":"“Các tạo vật ngóng trông sự mạc khải của con cái Thiên Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi nghĩ rằng những đau khổ ở đời này không thể sánh với vinh quang sắp tới sẽ được mạc khải cho chúng ta. Vì chưng các tạo vật ngóng trông sự mạc khải của con cái Thiên Chúa. Các tạo vật đã phải tùng phục cảnh hư ảo, không phải vì chúng muốn như vậy, nhưng vì Ðấng đã bắt chúng phải tùng phục, với hy vọng là các tạo vật sẽ được giải thoát khỏi vòng nô lệ sự hư nát, để được thông phần vào sự tự do vinh hiển của con cái Thiên Chúa.\rVì chúng ta biết rằng cho đến bây giờ, mọi tạo vật đều rên siết và đau đớn như người đàn bà trong lúc sinh con. Nhưng không phải chỉ có các tạo vật, mà cả chúng ta nữa, là những kẻ đã được hưởng ơn đầu mùa của Thánh Thần, chúng ta cũng rên rỉ trong mình chúng ta khi ngóng chờ phúc làm nghĩa tử của Thiên Chúa và ơn cứu độ thân xác chúng ta.\rVì chưng nhờ niềm cậy trông mà chúng ta được cứu độ. Nhưng hễ nhìn thấy điều mình hy vọng thì không phải là hy vọng nữa. Vì ai đã thấy điều gì rồi, đâu còn hy vọng nó nữa? Nhưng nếu chúng ta hy vọng điều chúng ta không trông thấy, chúng ta sẽ kiên tâm trông đợi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 125, 1-2ab. 2cd-3. 4-5. 6","response":"Ðáp: Chúa đã đối xử đại lượng với chúng tôi","verses":["Xướng: Khi Chúa đem những người Sion bị bắt trở về, chúng tôi dường như người đang mơ, bấy giờ miệng chúng tôi vui cười, lưỡi chúng tôi thốt lên những tiếng hân hoan.","Xướng: Bấy giờ dân thiên hạ nói với nhau rằng: Chúa đã đối xử với họ cách đại lượng. Chúa đã đối xử đại lượng với chúng tôi, nên chúng tôi mừng rỡ hân hoan.","Xướng: Lạy Chúa, xin hãy đổi số phận của tôi, như những dòng suối ở miền nam. Ai gieo trong lệ sầu, sẽ gặt trong hân hoan.","Xướng: Thiên hạ vừa đi vừa khóc, tay mang thóc đi gieo; họ trở về trong hân hoan, vai mang những bó lúa."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia."},"gospel":{"excerpt":"Lc 13, 18-21","info":"“Hạt cải mọc lên và trở thành một cây to”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán rằng: “Nước Thiên Chúa giống như cái gì? Và Ta sẽ so sánh nước đó với cái gì? Nước đó giống như hạt cải mà người kia lấy gieo trong vườn mình. Nó mọc lên và trở thành một cây to, và chim trời đến nương náu trên ngành nó”.\rNgười lại phán rằng: “Ta sẽ so sánh Nước Thiên Chúa với cái gì? Nước đó giống như tấm men mà người đàn bà kia lấy bỏ vào ba đấu bột, cho tới khi tất cả khối đều dậy men”.","end":"Ðó là lời Chúa"}},
+        "5303": {"firstReading":{"excerpt":"(Năm I) Rm 8, 26-30","info":"“Những kẻ yêu mến Thiên Chúa, thì Người giúp họ được sự lành”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, có Thánh Thần nâng đỡ sự yếu hèn của chúng ta. Vì chúng ta không biết cầu nguyện như thế nào cho xứng hợp. Nhưng chính Thánh Thần cầu xin cho chúng ta bằng những tiếng than khôn tả. Mà Ðấng thấu suốt tâm hồn, thì biết điều Thánh Thần ước muốn. Bởi vì Thánh Thần cầu xin cho các thánh theo ý Thiên Chúa.\rNhưng chúng ta biết rằng những kẻ yêu mến Thiên Chúa, thì Người giúp họ được sự lành, họ là những người theo dự định của Chúa, được kêu gọi nên thánh. Vì chưng, những kẻ Chúa đã biết trước, thì Người đã tiền định cho họ nên hình ảnh giống Con Người, để Ngài trở nên trưởng tử giữa đoàn anh em đông đúc. Những ai Người đã tiền định, thì Người cũng kêu gọi; những ai Người đã kêu gọi, thì Người cũng làm cho nên công chính; mà những ai Người đã làm cho nên công chính, thì Người cũng cho họ được vinh quang.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 12, 4-5. 6","response":"Ðáp: Lạy Chúa, con đã tin cậy vào đức từ bi của Chúa (c. 6a).","verses":["Xướng: Xin đoái xem, nhậm lời con, lạy Chúa, lạy Thiên Chúa. Xin soi sáng mắt con, kẻo con thiếp ngủ trong tay tử thần, đừng để tên thù con nói được: “Ta đã thắng nó”. Xin chớ để kẻ thù con hân hoan vì con quỵ ngã.","Xướng: Bởi con đã tin cậy vào đức từ bi của Chúa. Xin cho lòng con hân hoan vì ơn Ngài cứu độ, con sẽ hát mừng Chúa, vì Ngài ban ân huệ cho con."]},"alleluia":{"verse":"Tv 118, 135","content":"alleluia! – Xin tỏ cho tôi tớ Chúa thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 13, 22-30","info":"“Người ta sẽ từ đông sang tây đến dự tiệc trong nước Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu rảo qua các đô thị và làng mạc, vừa giảng dạy vừa đi về Giêrusalem. Có kẻ hỏi Người rằng: “Lạy Thầy, phải chăng chỉ có một số ít sẽ được cứu độ?” Nhưng Người phán cùng họ rằng: “Các ngươi hãy cố gắng vào qua cửa hẹp, vì Ta bảo các ngươi biết: nhiều người sẽ tìm vào mà không vào được. Khi chủ nhà đã vào đóng cửa lại, thì lúc đó các ngươi đứng ngoài mới gõ cửa mà rằng: “Thưa ngài, xin mở cửa cho chúng tôi”. Chủ sẽ trả lời các ngươi rằng: “Ta không biết các ngươi từ đâu tới”. Bấy giờ các ngươi mới nói rằng: “Chúng tôi đã ăn uống trước mặt Ngài và Ngài đã giảng dạy giữa các công trường của chúng tôi”. Nhưng chủ sẽ trả lời các ngươi rằng: “Ta không biết các ngươi từ đâu mà tới, hỡi những kẻ làm điều gian ác, hãy lui ra khỏi mặt ta”.\rKhi các ngươi sẽ thấy Abraham, Isaac, Giacóp và tất cả các tiên tri ở trong nước Thiên Chúa, còn các ngươi bị loại ra ngoài, nơi đó các ngươi sẽ khóc lóc nghiến răng. Và người ta sẽ từ đông chí tây, từ bắc chí nam đến dự tiệc trong nước Thiên Chúa. Phải, có những người sau hết sẽ trở nên trước hết, và những người trước hết sẽ nên sau hết”.","end":"Ðó là lời Chúa"}},
+        "5304": {"firstReading":{"excerpt":"(Năm I) Rm 8, 31b-39","info":"“Không một tạo vật nào có thể tách biệt chúng ta khỏi lòng yêu mến của Thiên Chúa trong Ðức Kitô, Chúa chúng ta”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, nếu Thiên Chúa ủng hộ chúng ta, thì ai có thể chống lại chúng ta? Người không dung tha chính Con Mình, nhưng lại phó thác Con vì tất cả chúng ta, há Người lại chẳng ban cho chúng ta mọi sự cùng với Con của Người sao? Ai sẽ tố cáo những kẻ Chúa chọn? (Chẳng lẽ là) chính Chúa, Ðấng làm cho nên công chính? Ai sẽ kết án? (Chẳng lẽ là) Ðức Giêsu Kitô, Ðấng đã chết và hơn nữa đã sống lại, đang ngự bên hữu Thiên Chúa cũng đang biện hộ cho chúng ta?\rAi sẽ tách biệt chúng ta ra khỏi lòng yêu mến của Ðức Kitô được? Hay là gian truân, buồn sầu, đói khát, trần truồng, nguy hiểm, bắt bớ, gươm giáo sao? (Như có lời chép rằng: “Vì Chúa mà thâu ngày chúng tôi bị tử hình. Chúng tôi bị coi như con chiên đem đi giết”). Nhưng chúng ta vượt thắng được trong tất cả những sự ấy vì Ðấng đã yêu thương chúng ta. Tôi chắc chắn rằng dù sự chết hay sự sống, dù thiên thần hay các bậc quyền quý, tài sức, dù những sự hiện tại hay tương lai, hoặc sức mạnh, dù cao hay sâu, dù tạo vật nào khác, cũng không có thể tách biệt chúng ta ra khỏi lòng yêu mến của Thiên Chúa trong Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 108, 21-22. 26-27. 30-31","response":"Ðáp: Lạy Chúa, xin cứu sống con theo lượng từ bi của Chúa (c. 26b).","verses":["Xướng: Nhưng phần Ngài, lạy Chúa, xin cùng con hành động vì danh Ngài, xin cứu sống con, bởi lòng Ngài từ bi nhân hậu! Bởi vì tấm thân con đau khổ và cơ hàn, và trong người con tâm can quằn quại! – Ðáp.","Xướng: Lạy Chúa là Thiên Chúa của con, xin giúp đỡ con, xin cứu sống con theo lượng từ bi của Chúa! để thiên hạ biết rằng đó là bàn tay của Chúa, và lạy Chúa, họ biết rằng Chúa đã làm những chuyện này. – Ðáp.","Xướng: Con sẽ hết lời ca tụng Chúa, và con sẽ ngợi khen Ngài ở giữa chúng nhân. Vì Ngài đứng bên hữu kẻ cơ hàn, để cứu sống họ khỏi bọn người lên án."]},"alleluia":{"verse":"x. Ep 1, 17-18","content":"alleluia! – Cha của Ðức Giêsu Kitô, Chúa chúng ta, đã soi lòng trí để chúng ta biết thế nào là sự cậy trông Chúa kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Lc 13, 31-35","info":"“Không lẽ một tiên tri phải giết chết ngoài thành Giêrusalem?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong ngày ấy, có mấy người biệt phái đến gần thưa Chúa Giêsu rằng: “Xin Thầy lên đường và đi khỏi đây, vì Hêrôđê toan giết Thầy”. Người trả lời: “Các ông hãy đi nói với con cáo đó rằng: “Ðây Ta trừ quỷ và chữa lành bệnh tật hôm nay và ngày mai, rồi ngày thứ ba Ta hoàn tất cuộc đời. Nhưng hôm nay, ngày mai và ngày hôm sau nữa, Ta còn phải đi đường, vì không lẽ một tiên tri bị giết chết ngoài thành Giêrusalem”.\r“Ôi Giêrusalem, Giêrusalem! Ngươi giết hại các tiên tri và ném đá những người đã được sai đến cùng ngươi. Ðã bao lần Ta muốn tụ họp con cái ngươi, như gà mẹ ấp ủ gà con dưới cánh, thế mà ngươi đã không muốn. Thì đây, nhà các ngươi sẽ bị bỏ hoang vu. Nhưng Ta bảo cho các ngươi hay: Các ngươi sẽ không còn xem thấy Ta, cho đến khi các ngươi sẽ nói rằng: “Chúc tụng Ðấng nhân danh Chúa mà đến!”","end":"Ðó là lời Chúa"}},
+        "5305": {"firstReading":{"excerpt":"(Năm I) Rm 9, 1-5","info":"“Tôi đã ước ao được loại khỏi Ðức Kitô vì phần ích anh em của tôi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi xin nói thật trong Ðức Kitô, tôi không nói dối: lương tâm tôi làm chứng cho tôi trong Thánh Thần, là tôi buồn phiền quá đỗi, lòng tôi hằng đau đớn luôn. Chính tôi đã ao ước được loại khỏi Ðức Kitô vì phần ích anh em của tôi, là những thân nhân của tôi về phần xác. Họ đều là người Israel, họ được quyền làm nghĩa tử, được vinh quang, giao ước, lề luầt, việc phượng tự và lời hứa; các tổ phụ cũng là của họ, và bởi các đấng ấy mà Ðức Kitô sinh ra phần xác, Người là Thiên Chúa trên hết mọi sự, đáng chúc tụng muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20","response":"Ðáp: Hỡi Giêrusalem, hãy ngợi khen Chúa!","verses":["Xướng: Hỡi Giêrusalem, hãy ngợi khen Chúa! Hãy ngợi khen Thiên Chúa của ngươi, hỡi Sion! vì Người giữ chặt các then cửa ngươi; Người chúc phúc cho con cái ngươi trong thành nội. – Ðáp.","Xướng: Người giữ cho mọi bờ cõi ngươi được bình an, Người dưỡng nuôi ngươi bằng tinh hoa của lúa mì. Người đã sai lời Người xuống cõi trần ai, và lời Người lanh chai chạy rảo. – Ðáp.","Xướng: Người đã loan truyền lời Người cho Giacóp, những thánh chỉ và huấn lệnh Người cho Israel. Người đã không làm cho dân tộc nào như thế, Người đã không công bố cho họ các huấn lệnh của Người. – Ðáp."]},"alleluia":{"verse":"Tv 118, 36a và 29b","content":"alleluia! – Lạy Chúa, xin nghiêng lòng con theo lời Chúa răn bảo, và xin rộng tay ban luật pháp của Chúa cho con. – Alleluia."},"gospel":{"excerpt":"Lc 14, 1-6","info":"“Trong ngày Sabbat, ai trong các ông có con lừa hay con bò rơi xuống giếng mà không kéo nó lên sao?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, vào một ngày Sabbat, Chúa Giêsu vào dùng bữa trong nhà một thủ lãnh biệt phái, thì những người hiện diện ở đó dòm xét Người. Bấy giờ có một người mắc bệnh thuỷ thũng ở trước mặt Người. Chúa Giêsu lên tiếng hỏi các Luật sĩ và biệt phái rằng: “Trong ngày Sabbat, có được phép chữa bệnh không?” Các ông ấy làm thinh. Bấy giờ Người kéo kẻ ấy lại, và chữa lành, rồi cho về. Ðoạn Người bảo các ông rằng: “Trong ngày Sabbat, ai trong các ông có con lừa hay con bò rơi xuống giếng mà không lập tức kéo nó lên sao?” Nhưng các ông không thể trả lời câu hỏi ấy.","end":"Ðó là lời Chúa"}},
+        "5306": {"firstReading":{"excerpt":"(Năm I) Rm 11, 1-2a. 11-12. 25-29","info":"“Nếu sự bỏ rơi người Do-thái là sự giao hoà của thế giới, thì đâu là cái lợi, nếu không phải là sự sống lại từ cõi chết?”","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, chớ thì Thiên Chúa đã bỏ rơi dân Người rồi sao? Hẳn là không. Vì chính tôi cũng là người Israel, miêu duệ của Abraham, thuộc chi họ Bengiamin. Thiên Chúa không từ bỏ dân Người mà Người đã chiếu cố trước.\rVậy tôi xin hỏi: Chớ thì họ đã vấp chân đến nỗi ngã xuống rồi sao? Hẳn là không. Nhưng vì lỗi lầm của họ mà Dân ngoại được ơn cứu độ, để họ ganh đua với những kẻ ấy. Nếu lỗi lầm của họ làm cho thế giới nên giàu có, và sự thiếu thốn của họ làm cho Dân ngoại được phú túc, thì sự dư đầy của họ còn lợi nhiều hơn biết bao.\rAnh em thân mến, tôi không muốn để anh em không hay biết mầu nhiệm này (để anh em không tự cho mình là những kẻ khôn ngoan): là một phần dân Israel cứng lòng mãi cho đến khi toàn thể Dân ngoại nhập giáo, và bấy giờ toàn thể Israel cũng sẽ được cứu độ, như có lời chép rằng: “Từ Sion có Ðấng Cứu độ sẽ đến mà cất sự vô đạo khỏi Giacóp. Và đó là giao ước Ta ký kết với họ, khi Ta xoá bỏ tội lỗi của họ”.\rXét theo Tin Mừng thì họ thật là kẻ thù nghịch vì anh em, nhưng xét theo kén chọn, thì họ là những người rất được yêu thương vì các tổ phụ. Bởi vì Thiên Chúa ban ân huệ và kêu gọi ai, Người không hề hối tiếc.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 93, 12-13a. 14-15. 17-18","response":"Ðáp: Chúa sẽ không loại trừ dân tộc của Chúa (c. 14a).","verses":["Xướng: Lạy Chúa, phúc thay người được Ngài dạy bảo, và giáo hoá theo luật pháp của Ngài, hầu cho họ được thảnh thơi trong những ngày gian khổ.","Xướng: Vì Chúa sẽ không loại trừ dân tộc, và không bỏ rơi gia nghiệp của Ngài. Nhưng sự xét xử sẽ trở lại đường công chính, và mọi người lòng ngay sẽ thuận tình theo.","Xướng: Nếu như Chúa chẳng phù trợ con, trong giây phút hồn con sẽ ở nơi yên lặng. Ðang lúc con nghĩ rằng “Chân con xiêu té”, thì, lạy Chúa, ân sủng Ngài nâng đỡ thân con."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai Lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Lc 14, 1. 7-11","info":"“Hễ ai nhắc mình lên, sẽ phải hạ xuống, và ai hạ mình xuống, sẽ được nhắc lên”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu vào nhà một thủ lãnh các người biệt phái để dùng bữa, và họ dò xét Người. Người nhận thấy cách những kẻ được mời chọn chỗ nhất, nên nói với họ dụ ngôn này rằng:\r“Khi có ai mời ngươi dự tiệc cưới, ngươi đừng ngồi vào chỗ nhất, kẻo có người trọng hơn ngươi cũng được mời dự tiệc với ngươi, và chủ tiệc đã mời ngươi và người ấy, đến nói với ngươi rằng: “Xin ông nhường chỗ cho người này”, bấy giờ ngươi sẽ phải xấu hổ đi ngồi vào chỗ rốt hết. Nhưng khi ngươi được mời, hãy đi ngồi vào chỗ rốt hết, để khi người mời ngươi đến nói với ngươi rằng: “Hỡi bạn, xin mời bạn lên trên”, bấy giờ ngươi sẽ được danh dự trước mặt những người dự tiệc.\r“Vì hễ ai nhắc mình lên, sẽ phải hạ xuống, và ai hạ mình xuống, sẽ được nhắc lên”.","end":"Ðó là lời Chúa"}}
+    }
+});
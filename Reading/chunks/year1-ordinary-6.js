@@ -0,0 +1,29 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year1-ordinary-6", {
+    "ORDINARY_Y1": {
+        "5311": {"firstReading":{"excerpt":"(Năm I) Rm 11, 29-36","info":"“Thiên Chúa đã để mọi người phải giam hãm trong sự cứng lòng tin, để Chúa thương xót hết mọi người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, Thiên Chúa ban ơn và kêu gọi ai, thì Người không hề hối tiếc. Như xưa anh em không tin Thiên Chúa, nhưng nay vì họ cứng lòng tin, nên anh em được thương xót, cũng thế, nay họ không tin, vì thấy Chúa thương xót anh em, để họ cũng được thương xót. Thiên Chúa đã để mọi người phải giam hãm trong sự cứng lòng tin, để Chúa thương xót hết mọi người.\rÔi thẳm sâu thay sự giàu có, thượng trí và thông biết của Thiên Chúa! Sự phán quyết của Người làm sao hiểu được, và đường lối của Người làm sao dò được! Vì chưng, nào ai biết được ý Chúa? Hoặc ai đã làm cố vấn cho Người? Hay ai đã cho Người trước để Người sẽ trả lại sau? Vì mọi sự đều do Người và trong Người: nguyện Người được vinh quang đến muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 30-31. 33-34. 36-37","response":"Ðáp: Lạy Chúa, đây là lúc biểu lộ tình thương, xin nhậm lời con","verses":["Xướng: Phần con, con đau khổ cơ hàn; lạy Chúa, xin gia ân phù trợ, bảo toàn thân con. Con sẽ xướng bài ca ngợi khen danh Chúa, và con sẽ chúc tụng Ngài với bài tri ân.","Xướng: Các bạn khiêm cung, hãy nhìn coi và hoan hỉ, các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ, và không chê bỏ con dân của Người bị bắt cầm tù.","Xướng: Vì Thiên Chúa sẽ cứu độ Sion, Người sẽ tái thiết thành trì của Giuđa, tại đây người ta cư ngụ và chiếm quyền sở hữu. Con cháu của bầy tôi Chúa sẽ thừa hưởng đất này, và tại đây những người yêu danh Chúa sẽ định cư."]},"alleluia":{"verse":"Mt 11, 29ab","content":"alleluia! – Các ngươi hãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng. – Alleluia."},"gospel":{"excerpt":"Lc 14, 12-14","info":"“Ông chớ mời các bạn hữu, nhưng hãy mời những người nghèo khó và tàn tật”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu nói với thủ lãnh các người biệt phái đã mời Người rằng: “Khi ông dọn tiệc trưa hay tiệc tối, ông chớ mời các bạn hữu, anh em, bà con và những người láng giềng giàu có, kẻo chính họ sẽ mời lại ông mà trả ơn cho ông. Nhưng khi ông dọn tiệc, ông hãy mời những người nghèo khó, tàn tật, què quặt và đui mù, thì ông sẽ được phúc, bởi họ không có gì đền ơn cho ông: vì chưng, khi những người công chính sống lại, ông sẽ được đền ơn”.","end":"Ðó là lời Chúa"}},
+        "5312": {"firstReading":{"excerpt":"(Năm I) Rm 12, 5-16","info":"“Kẻ này là chi thể của người kia”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, chúng ta tuy nhiều người, nhưng cũng chỉ là một thân thể trong Ðức Kitô, và tương quan với mỗi người, kẻ này là chi thể của người kia. Nhưng chúng ta được những ân huệ khác nhau tuỳ theo ân sủng đã ban cho chúng ta: nếu là ơn nói tiên tri, thì hãy xử dụng sao cho xứng đối với đức tin; nếu là chức phận giúp việc, thì hãy chuyên cần giúp việc; nếu là thầy dạy, hãy lo dạy dỗ; nếu là khuyên bảo, hãy lo khuyên bảo; nếu là người phân phát, hãy có lòng chân thành; nếu là người cai quản, hãy cần mẫn; nếu là kẻ thương giúp, hãy vui vẻ.\rÐức ái không được giả hình. Hãy chê ghét điều ác và trìu mến điều lành. Hãy thương yêu nhau trong tình bác ái huynh đệ: Hãy nhân nhượng tôn kính nhau. Hãy siêng năng, chớ biếng nhác: hãy sốt mến trong tâm thần và phụng sự Chúa. Hãy hân hoan trong niềm cậy trông, nhẫn nại trong gian truân và kiên tâm cầu nguyện. Hãy giúp đỡ các thánh khi họ thiếu thốn, và ân cần tiếp khách đỗ nhà. Hãy chúc phúc cho những kẻ bắt bớ anh em: Hãy chúc phúc, chứ đừng chúc dữ. Hãy vui mừng với kẻ vui mừng, và khóc lóc với kẻ khóc lóc. Hãy đồng tâm hiệp ý với nhau: đừng tự cao tự đại, một hãy ưa thích những sự hèn kém. Ðừng tự đắc cho mình là khôn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 130, 1. 2. 3","response":"Ðáp: Lạy Chúa, xin giữ linh hồn con trong bình an của Chúa.","verses":["Xướng: Lạy Chúa, lòng con không tự đắc, và mắt con chẳng liếc nhìn cao, con cũng không lo nghĩ những việc lớn lao hay là những điều quá tầm trí mọn.","Xướng Nhưng con lo giữ linh hồn cho thinh lặng và thanh thản. Như trẻ thơ sống trong lòng thân mẫu, linh hồn con cũng như thế ở trong con.","Xướng: Israel hãy cậy trông vào Chúa, tự bây giờ và cho tới muôn đời."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Lc 14, 15-24","info":"“Anh hãy ra ngoài đường ngoài ngõ, và cố ép người ta vào cho đầy nhà tôi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, một người đồng bàn thưa cùng Chúa Giêsu rằng: “Phúc cho kẻ sẽ được ăn tiệc trong nước Thiên Chúa”. Người phán cùng kẻ ấy rằng: “Có một người kia dọn tiệc linh đình, và đã mời nhiều thực khách. Tới giờ dự tiệc, ông sai đầy tớ đi báo cho những kẻ được mời để họ đến, vì mọi sự đã dọn sẵn sàng rồi. Nhưng mọi người đồng thanh xin kiếu. Người thứ nhất nói với ông rằng: “Tôi mới tậu một thửa ruộng, tôi cần phải đi xem đất, nên xin ông cho tôi kiếu”. Người thứ hai nói: “Tôi mới mua năm đôi bò, và tôi phải đi thử chúng, nên xin ông cho tôi kiếu”. Người khác lại rằng: “Tôi mới cưới vợ, bởi đó tôi không thể đến được”.\r“Người đầy tớ trở về thuật lại những điều đó cho chủ mình. Bấy giờ chủ nhà liền nổi giận, bảo người đầy tớ rằng: “Anh hãy cấp tốc đi ra các công trường và các ngõ hẻm thành phố mà dẫn về đây những người hành khất, tàn tật, đui mù và què quặt”. Người đầy tớ trở về trình rằng: “Thưa ông, lệnh ông ban đã được thi hành, thế mà hãy còn dư chỗ”. Ông chủ lại bảo người đầy tớ rằng: “Anh hãy ra ngoài đường ngoài ngõ và cố ép người ta vào cho đầy nhà tôi. Vì tôi bảo cho các người biết: không một ai trong những kẻ đã được mời, sẽ được nếm bữa tiệc của tôi”.","end":"Ðó là lời Chúa"}},
+        "5313": {"firstReading":{"excerpt":"(Năm I) Rm 13, 8-10","info":"“Yêu thương là chu toàn trọn cả luật”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, anh em chớ mắc nợ ai ngoài việc phải yêu mến nhau. Vì ai yêu người, thì đã giữ trọn Lề luật. Ðó là: Chớ ngoại tình, chớ giết người, chớ trộm cắp, chớ làm chứng gian, chớ mê tham, và nếu có điều luật nào khác, thì cũng tóm lại trong lời này là: Ngươi hãy yêu mến kẻ khác như chính mình. Lòng yêu thương không làm hại kẻ khác. Vậy yêu thương là chu toàn cả lề luật.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 4-5. 9","response":"Ðáp: Phúc đức cho người biết xót thương và cho vay. Hoặc đọc: Alleluia.","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng ham mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong đất nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Trong u tối người xuất hiện như sự sáng soi kẻ lòng ngay, người nhân hậu, từ bi và công chính. Phúc đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình.","Xướng: Người ban phát và bố thí cho những kẻ nghèo, lòng quảng đại của người muôn đời còn mãi, sừng người được ngẩng lên trong vinh quang."]},"alleluia":{"verse":"Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 14, 25-33","info":"“Ai không từ bỏ tất cả của cải mình có, thì không thể làm môn đệ Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có nhiều đám đông cùng đi với Chúa Giêsu, Người ngoảnh lại bảo họ rằng: “Nếu ai đến với Ta mà không bỏ cha mẹ, vợ con, anh chị em và cả mạng sống mình, thì không thể làm môn đệ Ta. Còn ai không vác thập giá mình mà theo Ta, thì không thể làm môn đệ Ta. Và có ai trong các ngươi muốn xây tháp mà trước tiên không ngồi tính toán phí tổn cần thiết, xem có đủ để hoàn tất không, kẻo đặt móng rồi mà không thể hoàn tất, thì mọi người xem thấy sẽ chế diễu người đó rằng: “Tên này khởi sự xây cất mà không hoàn thành nổi”.\r“Hoặc có vua nào sắp đi giao chiến với một vua khác, mà trước tiên không ngồi suy nghĩ xem mình có thể đem mười ngàn quân ra đương đầu với đối phương dẫn hai mươi ngàn quân tiến đánh mình chăng? Bằng chẳng nổi, thì khi đối phương còn ở xa, vua ấy sai một phái đoàn đến cầu hoà. Cũng thế, bất kỳ ai trong các ngươi không từ bỏ tất cả của cải mình có, thì không thể làm môn đệ Ta”.","end":"Ðó là lời Chúa"}},
+        "5314": {"firstReading":{"excerpt":"( Năm I) Rm 14, 7-12","info":"“Dù chúng ta sống hay chết, chúng ta đều thuộc về Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, không ai trong anh em được sống cho mình, và cũng không ai chết cho mình. Vì nếu chúng ta sống, là sống cho Chúa, nếu chúng ta chết, là chết cho Chúa. Vậy dù chúng ta sống hay chết, chúng ta đều thuộc về Chúa.\rVì lẽ ấy, nếu Ðức Kitô đã chết và sống lại, là để cai trị kẻ sống và kẻ chết. Còn ngươi, việc gì mà đoán xét anh em ngươi? Và ngươi, tại sao ngươi khinh miệt anh em ngươi? Vì tất cả chúng ta đều sẽ phải ra trước toà án của Ðức Kitô, bởi có lời chép: “Chúa phán rằng: Ta thề trên sự sống Ta, mọi đầu gối sẽ phải quỳ lạy Ta, và mọi miệng lưỡi sẽ ngợi khen Thiên Chúa”.\rVì vậy, mỗi người chúng ta sẽ phải trả lẽ về chính mình với Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","response":"Ðáp: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh (c. 13).","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi, hầu vui hưởng êm đềm của Chúa, và chiêm ngưỡng thánh điện của Người.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa!"]},"alleluia":{"verse":"2 Cr 5, 19","content":"alleluia! – Thiên Chúa ở trong Ðức Kitô đã giải hoà thế gian, để chúng ta nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 15, 1-10","info":"“Trên trời sẽ vui mừng vì một người tội lỗi hối cải”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người thâu thuế và những người tội lỗi đến gần Chúa Giêsu để nghe Người giảng. Thấy vậy, những người Biệt phái và Luật sĩ lẩm bẩm rằng: “Ông này đón tiếp những kẻ tội lỗi, cùng ngồi ăn uống với chúng”. Bấy giờ Người phán bảo họ dụ ngôn này: “Ai trong các ông có một trăm con chiên, và nếu mất một con, lại không để chín mươi chín con khác trong hoang địa mà đi tìm con chiên lạc, cho đến khi tìm được sao? Và khi đã tìm thấy, người đó vui mừng vác chiên trên vai, trở về nhà, kêu bạn hữu và những người lân cận mà nói rằng: “Anh em hãy chia vui với tôi, vì tôi đã tìm thấy con chiên lạc!” Cũng vậy tôi bảo các ông: Trên trời sẽ vui mừng vì một người tội lỗi hối cải hơn là vì chín mươi chín người công chính không cần hối cải.\r“Hay là người đàn bà nào có mười đồng bạc, nếu mất một đồng, mà lại không đốt đèn, quét nhà và tìm kỹ lưỡng cho đến khi tìm thấy sao? Và khi đã tìm thấy, bà mời các chị em bạn và những người láng giềng đến mà rằng: “Chị em hãy vui mừng với tôi, vì tôi đã tìm được đồng bạc tôi đã mất”. Cũng vậy, tôi bảo các ông: Các thiên thần của Thiên Chúa sẽ vui mừng vì một người tội lỗi hối cải”.","end":"Ðó là lời Chúa"}},
+        "5315": {"firstReading":{"excerpt":"(Năm I) Rm 15, 14-21","info":"“Tôi là người giúp việc của Ðức Giêsu Kitô nơi các người Dân ngoại để của lễ Dân ngoại được Chúa chấp nhận”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, phần tôi, tôi tin chắc rằng anh em có đầy thiện cảm, và đầy mọi sự hiểu biết, cho nên anh em có thể khuyên bảo lẫn nhau. Nhưng tôi đã viết thư này cho anh em có phần khá bạo dạn, có ý nhắc nhủ anh em nhớ lại: nhờ ân sủng Thiên Chúa đã ban cho tôi trở nên người giúp việc của Ðức Giêsu Kitô nơi các Dân ngoại, gánh lấy thiên chức rao giảng Tin Mừng, ngõ hầu của lễ Dân ngoại được chấp nhận và được thánh hoá trong Thánh Thần.\rBởi vậy trong Ðức Giêsu Kitô, tôi có thể tự hào trước mặt Thiên Chúa. Vì chưng tôi không dám nói điều gì ngoài việc Ðức Kitô dùng tôi làm cho dân ngoại vâng phục, bằng ngôn ngữ cũng như bằng hành động, nhờ những phép lạ, những việc phi thường và quyền lực của Thánh Thần. Bởi thế, từ Giêrusalem và miền chung quanh cho đến Illyricô, tôi đã rao giảng đầy đủ Tin Mừng của Ðức Kitô.\rNhư thế, tôi đã rao giảng Tin Mừng này, không phải ở những nơi đã kêu cầu danh Ðức Kitô, để tránh khỏi xây dựng trên nền móng kẻ khác đã đặt, nhưng tôi hành động như lời đã chép: “Những ai chưa hề nghe loan báo về Người, thì sẽ xem thấy Người; và những ai chưa hề nghe nói về Người, thì sẽ hiểu biết Người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người trước mặt chư dân","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân, Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành, để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Lc 16, 1-8","info":"“Con cái đời này khi đối xử với đồng loại thì khôn khéo hơn con cái sự sáng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Một người phú hộ kia có một người quản lý; và người này bị tố cáo đã phung phí của chủ. Ông chủ gọi người quản lý đến và bảo rằng: “Tôi nghe nói anh sao đó. Anh hãy tính sổ công việc quản lý của anh, vì từ nay anh không thể làm quản lý nữa”. Người quản lý thầm nghĩ rằng: “Tôi phải làm thế nào, vì chủ tôi cất chức quản lý của tôi? Cuốc đất thì không nổi, ăn mày thì hổ ngươi. Tôi biết phải liệu thế nào để khi mất chức quản lý thì sẽ có người đón tiếp tôi về nhà họ”.\r“Vậy anh gọi từng con nợ của chủ đến và hỏi người thứ nhất rằng: “Anh mắc nợ chủ tôi bao nhiêu?” Người ấy đáp: “Một trăm thùng dầu”. Anh bảo người ấy rằng: “Anh hãy lấy văn tự, ngồi xuống mau mà viết lại năm mươi”. Rồi anh hỏi người khác rằng: “Còn anh, anh mắc nợ bao nhiêu?” Người ấy đáp: “Một trăm giạ lúa miến”. Anh bảo người ấy rằng: “Anh hãy lấy văn tự mà viết lại: tám mươi”.\r“Và chủ khen người quản lý bất lương đó đã hành động cách khôn khéo: vì con cái đời này, khi đối xử với đồng loại, thì khôn khéo hơn con cái sự sáng”.","end":"Ðó là lời Chúa"}},
+        "5316": {"firstReading":{"excerpt":"(Năm I) Rm 16, 3-9. 16. 22-27","info":"“Anh em hãy chào nhau trong cái hôn thánh thiện”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Rôma.","content":"Anh em thân mến, tôi xin gởi lời chào bà Prisca và ông Aquila, là những người cộng sự viên của tôi trong Ðức Giêsu Kitô, (họ đã liều mất đầu để cứu mạng sống tôi; không chỉ một mình tôi mang ơn họ mà thôi, nhưng còn tất cả các Giáo đoàn dân ngoại nữa), xin gởi lời chào Giáo đoàn đang hội họp tại nhà họ. Xin gởi lời chào Êphênêtô, người tôi yêu quý, ông là hoa quả đầu mùa trong Ðức Kitô bên Tiểu Á. Xin gởi lời chào Maria, người đã vất vả nhiều vì anh em. Xin gởi lời chào Anđrônicô và Giunia, người bà con và bạn tù của tôi; họ là những người danh vọng trong hàng các Tông đồ và đã thuộc về Ðức Kitô trước tôi. Xin gởi lời chào Ampliatô, người tôi rất yêu quý trong Chúa. Xin gởi lời chào Urbanô, cộng sự viên của chúng tôi trong Ðức Giêsu Kitô, và cả Sitakhin, người tôi yêu quý. Anh em hãy chào nhau trong cái hôn thánh thiện. Tất cả các Giáo đoàn của Ðức Kitô gởi lời chào anh em.\rTôi là Tertiô, người viết thư này, xin gởi lời chào anh em trong Chúa. Caiô, người cho tôi trọ nhà, và toàn thể Giáo đoàn cũng gởi lời chào anh em. Êrastô, chủ kho bạc thị trấn, và Quartô, người anh em, xin gởi lời chào anh em. Nguyện chúc ân sủng Ðức Giêsu Kitô, Chúa chúng ta, ở cùng tất cả anh em. Amen.\rKính chúc Ðấng có quyền năng làm cho anh em được vững vàng theo Tin Mừng tôi loan truyền, và lời giảng dạy của Chúa Giêsu Kitô, theo mạc khải mầu nhiệm được giữ kín từ đời đời, nhưng nay được tỏ bày, và nhờ các tiên tri ghi chép theo lệnh của Thiên Chúa hằng hữu, được thông tri cho các dân ngoại, để dẫn đưa họ về vâng phục đức tin. Kính chúc Thiên Chúa, Ðấng khôn ngoan độc nhất, nhờ Chúa Giêsu Kitô, kính chúc Người vinh quang muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 10-11","response":"Ðáp: Lạy Chúa, con sẽ chúc tụng danh Chúa tới muôn đời","verses":["Xướng: Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời. Chúa vĩ đại và rất đáng ngợi khen, sự vĩ đại của Chúa không thể đo lường được.","Xướng: Thế hệ này rao giảng cho thế hệ kia hay công việc Chúa, và thiên hạ loan tin quyền năng của Ngài. Người ta nói đến vinh quang cao cả oai nghiêm, và phổ biến những điều kỳ diệu của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài."]},"alleluia":{"verse":"Ep 1, 17-18","content":"alleluia! – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Lc 16, 9-15","info":"“Nếu các con không trung thành trong việc tiền của gian dối, thì ai sẽ giao của chân thật cho các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hãy dùng tiền của gian dối mà mua lấy bạn hữu, để khi mất hết tiền bạc, thì họ sẽ đón tiếp các con vào chốn an nghỉ đời đời. Ai trung tín trong việc nhỏ, thì cũng trung tín trong việc lớn; ai gian dối trong việc nhỏ, thì cũng gian dối trong việc lớn. Vậy nếu các con không trung thành trong việc tiền của gian dối, thì ai sẽ giao phó của chân thật cho các con.\r“Không đầy tớ nào có thể làm tôi hai chủ: vì hoặc nó ghét chủ này và mến chủ kia; hoặc phục chủ này và khinh chủ nọ. Các con không thể làm tôi Thiên Chúa mà lại làm tôi tiền của được”. Những người biệt phái là những kẻ tham lam, nghe nói tất cả những điều đó, thì nhạo cười Người. Vậy Người bảo các ông rằng: “Chính các ông là những kẻ phô trương mình là công chính trước mặt người ta, nhưng Thiên Chúa biết lòng các ông; bởi chưng điều gì cao sang đối với người ta, thì lại là ghê tởm trước mặt Thiên Chúa”.","end":"Ðó là lời Chúa"}},
+        "5321": {"firstReading":{"excerpt":"(Năm I) Kn 1, 1-7","info":"“Thần trí khôn ngoan thì nhân hậu; Thánh Thần Chúa tràn ngập hoàn cầu”.","title":"Khởi đầu sách Khôn Ngoan.","content":"Hỡi các vị lãnh đạo trần gian, hãy chuộng đức công chính. Hãy tưởng nghĩ về Chúa cách ngay lành, và hãy tìm kiếm Người với tâm hồn đơn sơ. Vì những ai không thử thách Chúa, sẽ gặp thấy Người, và Người sẽ tỏ mình cho những ai tin vào Người. Vì chưng, những tà ý làm xa cách Chúa, và quyền năng bị thử thách sẽ sửa phạt những kẻ ngu đần đó. Sự khôn ngoan sẽ không ngự vào tâm hồn gian ác, và không ở trong thân xác nô lệ tội lỗi. Vì Thánh Thần, Ðấng dạy dỗ chúng ta, sẽ xa tránh kẻ gian dối, lánh xa những tư tưởng ngông cuồng, và lui đi khi sự gian ác tới.\rThần trí khôn ngoan thì nhân hậu, nhưng không tha thứ kẻ nói lộng ngôn. Vì Thiên Chúa thấu suốt tâm can kẻ ấy, Người thực sự kiểm soát lòng nó và nghe lời nó nói. Vì thần trí Chúa tràn ngập hoàn cầu. Người nắm giữ mọi sự, và thông biết mọi lời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"138, 1-3. 4-6. 7-8. 9-10","response":"Ðáp: Lạy Chúa, xin hướng dẫn con trong đường lối đời đời","verses":["Xướng: Lạy Chúa, Ngài thăm dò và biết rõ con, Ngài biết con, lúc con ngồi khi con đứng. Ngài hiểu thấu tư tưởng con tự đàng xa, khi con bước đi hay nằm nghỉ, Ngài thấy hết, Ngài để ý tới mọi đường lối của con.","Xướng: Khi lời nói chưa lên tới đầu lưỡi, thì kìa, lạy Chúa, Ngài đã biết cả rồi; sau lưng hay trước mặt, Chúa bao bọc thân con, và trên mình con, Chúa đặt tay. Ðối với con, sự thông minh này quá ư huyền diệu, quá cao xa, con thực không thể hiểu ra.","Xướng: Con đi đâu xa khuất được thần linh của Chúa? Con trốn đâu cho khỏi thiên nhan Ngài? Nếu con leo được tới trời, thì cũng có Ngài ngự đó, nếu con nằm dưới âm phủ, thì đây cũng có mặt Ngài.","Xướng: Nếu con mượn đôi cánh của hồng đông, và bay đến cư ngụ nơi biên cương biển cả, tại nơi đây cũng bàn tay Chúa dẫn dắt con, và tay hữu Ngài nắm giữ con."]},"alleluia":{"verse":"Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã mạc khải những mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia."},"gospel":{"excerpt":"Lc 17, 1-6","info":"“Dù một ngày bảy lần nó trở lại nói cùng con rằng: Tôi hối hận, thì con hãy tha cho nó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không thể nào mà không xảy ra gương xấu, nhưng vô phúc cho kẻ nào gây ra gương xấu. Thà nó bị cột cối đá vào cổ mà ném xuống biển còn hơn là làm gương xấu cho một trong những trẻ nhỏ này.\r“Các con hãy cẩn thận: nếu có anh em con lỗi phạm, con hãy răn bảo nó, và nếu nó hối cải, thì hãy tha thứ cho nó; cho dù một ngày nó phạm đến con bảy lần, và bảy lần nó trở lại nói cùng con rằng: “Tôi hối hận”, thì con hãy tha thứ cho nó”.\rCác Tông đồ thưa với Chúa rằng: “Xin Thầy ban thêm lòng tin cho chúng con”. Chúa liền phán rằng: “Nếu các con có lòng tin bằng hạt cải, thì dẫu các con khiến cây dâu này rằng: “Hãy tróc rễ lên và xuống mọc dưới biển”, nó liền vâng lời các con”.","end":"Ðó là lời Chúa"}},
+        "5322": {"firstReading":{"excerpt":"(Năm I) Kn 2, 23 – 3, 9","info":"“Ðối với con mắt người không hiểu biết, thì hình như các ngài đã chết, nhưng thật ra các ngài sống trong bình an”.","title":"Trích sách Khôn Ngoan.","content":"Thiên Chúa đã tạo dựng con người giống hình ảnh Chúa để sống vĩnh viễn. Nhưng bởi ác quỷ ghen tương, nên tử thần đột nhập vào thế gian: kẻ nào thuộc về nó thì bắt chước nó.\rLinh hồn những người công chính ở trong tay Chúa, và đau khổ sự chết không làm gì được các ngài. Ðối với con mắt người không hiểu biết, thì hình như các ngài đã chết, và việc các ngài từ biệt chúng ta, là như đi vào cõi tiêu diệt. Nhưng thật ra, các ngài sống trong bình an. Và trước mặt người đời, dầu các ngài có chịu khổ hình, lòng cậy trông của các ngài cũng không chết.\rSau một giây lát chịu khổ nhục, các ngài sẽ được vinh dự lớn lao, vì Chúa đã thử thách các ngài như thử vàng trong lửa, và chấp nhận các ngài như của lễ toàn thiêu. Khi đến giờ Chúa ghé mắt nhìn các ngài, các người công chính sẽ sáng chói và chiếu tỏ ra như ánh lửa chiếu qua bụi lau. Các ngài sẽ xét xử các dân tộc, sẽ thống trị các quốc gia, và Thiên Chúa sẽ ngự trị trong các ngài muôn đời.\rCác ngài đã tin tưởng ở Chúa, thì sẽ hiểu biết chân lý, và trung thành với Chúa trong tình yêu, vì ơn Chúa và bình an sẽ dành cho những người Chúa chọn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 16-17. 18-19","response":"Ðáp: Tôi chúc tụng Thiên Chúa trong mọi lúc","verses":["Xướng: Tôi chúc tụng Thiên Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Thiên Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Thiên Chúa để mắt coi người hiền đức, và tai Người lắng nghe tiếng họ cầu. Thiên Chúa ra mặt chống người làm ác, để tẩy trừ di tích chúng nơi trần gian.","Xướng: Người hiền đức kêu cầu và Chúa nghe lời họ, Người cứ họ khỏi mọi nỗi âu lo. Thiên Chúa gần gũi những kẻ đoạn trường, và cứu chữu những tâm hồn đau thương dập nát."]},"alleluia":{"verse":"Cl 3, 16a và 17c","content":"alleluia! – Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em; anh em hãy nhờ Ðức Kitô mà tạ ơn Chúa Cha. – Alleluia."},"gospel":{"excerpt":"Lc 17, 7-10","info":"“Chúng tôi là đầy tớ vô dụng: vì chúng tôi đã làm điều chúng tôi phải làm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán: “Ai trong các con có người đầy tớ cày bừa hay chăn súc vật ngoài đồng trở về liền bảo nó rằng: “Mau lên, hãy vào bàn dùng bữa”, mà trái lại không bảo nó rằng: “Hãy lo dọn bữa tối cho ta, hãy thắt lưng và hầu hạ ta cho đến khi ta ăn uống đã, sau đó ngươi mới ăn uống”? Chớ thì chủ nhà có phải mang ơn người đầy tớ, vì nó đã làm theo lệnh ông dạy không? Thầy nghĩ rằng không.\r“Phần các con cũng vậy, khi các con làm xong mọi điều đã truyền dạy các con, thì các con hãy nói rằng: “Chúng tôi là đầy tớ vô dụng, vì chúng tôi đã làm điều chúng tôi phải làm”.","end":"Ðó là lời Chúa"}},
+        "5323": {"firstReading":{"excerpt":"(Năm I) Kn 6, 2-12","info":"“Hỡi các vua chúa, hãy lắng nghe và học biết sự khôn ngoan”.","title":"Trích sách Khôn Ngoan.","content":"Hỡi các vua chúa, hãy nghe và hãy hiểu. Hỡi các thủ lãnh trần gian, hãy học biết. Hỡi các vị lãnh đạo quần chúng, các ngươi kiêu hãnh, vì dân các ngươi đông đảo, xin lắng nghe: Quyền bính của các ngươi là do Chúa ban, và uy lực của các ngươi cũng do Ðấng Tối Cao. Người sẽ chất vấn mọi hành động và kiểm soát những tư tưởng các ngươi. Vì nếu các ngươi là những quản lý nước Chúa mà không xét xử công minh, không giữ luật công bình, không sống theo thánh ý Thiên Chúa, thì Người sẽ xuất hiện trên các ngươi cách kinh hoàng mau lẹ. Vì đối với những kẻ cầm quyền, Người sẽ xét xử nghiêm nhặt. Ðối với những kẻ thấp hèn, thì Người sẽ thương xót, còn những người quyền thế, Người sẽ lấy quyền thế mà trừng trị. Thiên Chúa không lùi bước trước mặt ai, chẳng sợ chức bậc nào, vì kẻ hèn người sang đều do chính Người tác tạo, và Người săn sóc tất cả đồng đều. Nhưng Người sẽ xét xử nghiêm nhặt hạng quyền thế. Vậy hỡi các vua chúa, đây là lời ta nói với các ngươi, để các ngươi học biết sự khôn ngoan và khỏi sa ngã. Vì chưng, những ai kính cẩn nắm giữ những điều công chính, sẽ nên người công chính, và những ai học hỏi các điều này, sẽ biết cách trả lời. Vậy các ngươi hãy say mến lời ta, thì các ngươi sẽ được giáo huấn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 81, 3-4. 6-7","response":"Ðáp: Ôi Thiên Chúa, xin Chúa đứng lên xét xử địa cầu","verses":["Xướng: Hãy bầu chữa kẻ bị ức và người phận nhỏ; hãy bênh vực quyền lợi người khốn khó và kẻ cơ hàn. Hãy cứu chữa người bị áp bức và kẻ bần cùng; hãy giải thoát họ khỏi bàn tay đứa ác.","Xướng: Ta đã nói: các ngươi là những bậc chúa tể, và hết thảy các ngươi là con Ðấng Tối Cao. Tuy nhiên, cũng như người ta, các ngươi sẽ chết, cũng như một quân vương nào đó, các ngươi sẽ té nhào."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa và đích thực là thế. – Alleluia. (Hoặc đọc: ) Alleluia, aleluia! – Anh em hãy tạ ơn trong mọi hoàn cảnh, đó chính là điều Thiên Chúa muốn trong Đức Ki-tô Giê-su – Alleluia."},"gospel":{"excerpt":"Lc 17, 11-19","info":"“Không thấy ai trở lại tôn vinh Thiên Chúa, mà chỉ có người ngoại bang này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi Chúa Giêsu đi lên Giêrusalem, Người đi qua biên giới Samaria và Galilêa. Khi Người vào một làng kia thì gặp mười người phong cùi đang đứng ở đàng xa, họ cất tiếng thưa rằng: “Lạy Thầy Giêsu, xin thương xót chúng tôi”. Thấy họ, Người bảo họ rằng: “Các ngươi hãy đi trình diện với các tư tế”. Trong lúc họ đi đường, họ được lành sạch. Một người trong bọn họ thấy mình được lành sạch, liền quay trở lại, lớn tiếng ngợi khen Thiên Chúa, rồi đến sấp mình dưới chân Chúa Giêsu và tạ ơn Người: Mà người ấy lại là người xứ Samaria. Nhưng Chúa Giêsu phán rằng: “Chớ thì không phải cả mười người được lành sạch sao? Còn chín người kia đâu? Không thấy ai trở lại tôn vinh Thiên Chúa, mà chỉ có người ngoại này”. Rồi Người bảo kẻ ấy rằng: “Ngươi hãy đứng dậy mà về: vì lòng tin của ngươi đã cứu chữa ngươi”.","end":"Ðó là lời Chúa"}},
+        "5324": {"firstReading":{"excerpt":"(Năm I) Kn 7, 22 – 8, 1","info":"“Sự khôn ngoan là phản ảnh của ánh sáng vĩnh cửu, là tấm gương vẹn tuyền của uy quyền Thiên Chúa”.","title":"Trích sách Khôn Ngoan.","content":"Trong sự khôn ngoan có tinh thần sáng suốt, thánh thiện, duy nhất, đa diện, tinh vi, lợi khẩu, linh động, tinh tuyền, chắc chắn, dịu dàng, phục thiện, sâu sắc, bất khuất, hào hiệp, nhân đạo, đại lượng, vững tâm, bền chí, vững chắc, bình thản, làm được mọi sự, kiểm soát hết thảy, thấu suốt mọi thần trí, những kẻ thông minh, những người thanh sạch và những người tế nhị. Sự khôn ngoan linh hoạt hơn mọi chuyển động, và vì trong sạch, nên thấu nhập mọi nơi.\rSự khôn ngoan là hơi thở của quyền năng Thiên Chúa, và là sự phát xuất tinh tuyền của vinh quang Thiên Chúa toàn năng; bởi thế không vật ô uế nào đụng tới được; sự khôn ngoan là phản ảnh của ánh sáng vĩnh cửu, là tấm gương vẹn tuyền của Uy quyền Thiên Chúa, và là hình ảnh lòng từ nhân của Người.\rTuy duy nhất, nhưng sự khôn ngoan có thể làm mọi sự, và dù bất biến, nhưng có thể canh tân mọi loài. Qua các thế hệ, sự khôn ngoan lan tràn trên các tâm hồn thánh thiện, làm cho các tâm hồn trở nên bạn hữu và tiên tri của Thiên Chúa.\rVì Chúa không yêu mến ai nếu không phải là kẻ ở với sự khôn ngoan. Khôn ngoan xinh đẹp hơn mặt trời, trổi vượt mọi tinh tú, và so với ánh sáng, nó còn trổi vượt hơn, vì ánh sáng có lúc phải nhường chỗ cho bóng tối, nhưng ngay cả gian ác cũng không thắng nổi sự khôn ngoan.\rVậy sự khôn ngoan đã lan tràn mạnh mẽ từ bờ cõi này đến bờ cõi kia, và hướng dẫn mọi loài cách khôn khéo.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 89. 90. 91. 130. 135. 175","response":"Ðáp: Thân lạy Chúa, cho tới đời đời, lời Chúa vẫn còn đó","verses":["Xướng: Thân lạy Chúa, cho tới đời đời kiếp kiếp, lời Chúa vẫn còn đó như cõi trời cao. Xướng: Ðời nọ sang đời kia, còn mãi lòng trung thành của Chúa, Ngài đã kiến tạo địa cầu, nó còn đứng vững trơ trơ.","Xướng: Theo chỉ dụ Chúa, vũ trụ luôn luôn tồn tại, vì hết thảy vạn vật đều phải phục vụ Ngài.","Xướng: Sự mạc khải lời Ngài soi sáng, và dạy bảo những người chưa kinh nghiệm.","Xướng: Xin tỏ cho tôi tớ Ngài thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Ngài.","Xướng: Nguyện cho hồn con được sống để khen ngợi Chúa, và xin các sắc dụ của Chúa phù trợ cho con."]},"alleluia":{"verse":"2 Tx 2, 14","content":"alleluia! – Thiên Chúa đã dùng Tin Mừng mà kêu gọi chúng ta, để chúng ta được chiếm lấy vinh quang của Ðức Giêsu Kitô, Chúa chúng ta. – Alleluia."},"gospel":{"excerpt":"Lc 17, 20-25","info":"“Nước Thiên Chúa ở giữa các ông”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người biệt phái hỏi Chúa Giêsu “Khi nào nước Thiên Chúa đến”, thì Người đáp lại rằng: “Nước Thiên Chúa không đến để cho người ta quan sát, và người ta sẽ không nói được: “Này nước trời ở đây hay ở kia”. Vì nước Thiên Chúa ở giữa các ông”. Chúa lại phán cùng các môn đệ rằng: “Sẽ có ngày các con ước ao thấy được một ngày của Con Người mà không được thấy. Người ta sẽ bảo các con: “Này Người ở đây và này Người ở kia”, các con chớ đi đến và đừng tìm kiếm. Vì như chớp sáng loè từ chân trời này đến phương trời kia thế nào, thì Con Người cũng sẽ đến trong ngày của Người như vậy. Nhưng tiên vàn Người phải chịu đau khổ nhiều, và bị dòng dõi này xua đuổi”.","end":"Ðó là lời Chúa"}},
+        "5325": {"firstReading":{"excerpt":"(Năm I) Kn 13, 1-9","info":"“Nếu họ đã có thể truy tầm càn khôn, sao họ lại không nhận thấy Chúa tể Càn khôn”.","title":"Trích sách Khôn Ngoan.","content":"Khờ dại thay tất cả những người không chịu nhận biết Chúa, và cả những người không biết căn cứ vào các sự vật hữu hình để tìm hiểu Ðấng Tự Hữu, và không chú ý đến các công trình để biết ai là Ðấng Hoá công. Nhưng họ kể lửa, gió, khí thiêng, bầu trời đầy tinh tú, nước lũ, mặt trời, mặt trăng là những thần minh bá chủ hoàn cầu. Nếu họ say mê vẻ đẹp của các vật đó mà kể chúng là chúa tể, thì phải biết rằng: Ðấng quản trị các vật đó còn tốt đẹp hơn bội phần, vì chính Ðấng tác sinh thiện mỹ, đã tạo thành mọi vật đó. Hoặc nếu họ ngạc nhiên về năng lực và kỳ công của những tạo vật đó, thì do đó họ phải hiểu rằng Ðấng đã tạo thành các vật đó, còn có quyền lực hơn nhiều, vì do sự cao sang tốt đẹp của tạo vật mà người ta có thể nhìn biết Ðấng tạo dựng mọi loài.\rDầu sao họ cũng không đáng trách mấy, vì chưng, có lẽ họ lầm trong khi tìm kiếm Chúa, và muốn gặp Người. Họ tìm kiếm, khi sống giữa các kỳ công của Chúa, nhưng họ ngộ nhận khi thấy các vật kia tốt đẹp.\rTuy vậy, chính họ cũng không đáng được tha thứ, vì nếu họ có khả năng nhận thức để truy tầm càn khôn, sao họ lại không nhận thấy cách dễ dàng hơn chính Chúa tể càn khôn?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 2-3. 4-5","response":"Ðáp: Trời xanh tường thuật vinh quang Thiên Chúa","verses":["Xướng: Trời xanh tường thuật vinh quang Thiên Chúa, thanh không kể ra sự nghiệp tay Người. Ngày này nhắc nhủ cho ngày khác, đêm này truyền tụng cho đêm kia.","Xướng: Ðây không phải lời cũng không phải tiếng, mà âm thanh chúng không thể lọt tai. Nhưng tiếng chúng đã vang cùng trái đất, và lời chúng truyền ra khắp cõi địa cầu."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 17, 26-37","info":"“Cũng xảy ra như thế trong ngày Con Người xuất hiện”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như sự kiện đã xảy ra thời Noe thế nào, thì trong ngày Con Người cũng xảy đến như vậy. Thiên hạ cứ ăn uống, cưới vợ gả chồng, mãi cho tới ngày Noe vào tầu, rồi nước lụt đến tiêu diệt mọi người.\r“Lại cũng như đã xảy ra thời ông Lót: người ta ăn uống, mua bán, trồng tỉa, xây cất, nhưng ngày ông Lót ra khỏi thành Sôđôma, thì trời liền mưa lửa và sinh diêm, tiêu diệt mọi người. Cũng sẽ xảy như thế trong ngày Con Người xuất hiện.\r“Trong ngày đó, ai ở trên mái nhà có đồ vật trong nhà, thì chớ xuống lấy đi; và ai ở ngoài đồng cũng đừng trở về. Các con hãy nhớ trường hợp vợ ông Lót. Ai lo cứu mạng sống mình thì sẽ mất, còn ai đành mất sự sống mình thì giữ được nó.\r“Thầy bảo các con: Trong đêm ấy sẽ có hai người trên một giường, thì một người bị đem đi, và người kia sẽ được để lại. Hai phụ nữ xay cùng một cối, thì một người sẽ bị đem đi, còn người kia sẽ được để lại. Hai người ở ngoài đồng, thì một người bị đem đi, và người kia được để lại”.\rCác môn đệ thưa Chúa rằng: “Lạy Thầy, chuyện đó ở đâu vậy?” Người phán bảo các ông: “Xác ở đâu thì diều hâu tựu lại đó”.","end":"Ðó là lời Chúa"}},
+        "5326": {"firstReading":{"excerpt":"(Năm I) Kn 18, 14-16; 19, 6-9","info":"“Giữa biển đỏ đã xuất hiện một lối đi không có chướng ngại, và họ nhảy mừng như đoàn chiên”.","title":"Trích sách Khôn Ngoan.","content":"Ðang lúc yên tĩnh bao trùm vạn vật, và đêm đã tới nửa vòng xoay: từ vương toà trên trời cao, lời toàn năng của Chúa tựa như một dũng sĩ rắn rỏi xông tới giữa miền đất bị tiêu diệt, tựa như gươm bén mang mệnh lệnh cố định của Chúa, đứng sừng sững, đầu chạm trời, chân đạp đất, gieo chết chóc khắp muôn loài.\rVà muôn loài được tác tạo như thuở ban đầu, phụng lệnh Chúa để gìn giữ thần dân Chúa được an toàn, vì Chúa đã khiến mây bao phủ trại binh họ, và từ nơi trước kia đầy nước, đã xuất hiện vùng đất ráo khô. Và giữa Biển Ðỏ đã xuất hiện một lối đi không có chướng ngại, và từ vực sâu xuất hiện một cánh đồng xanh tươi. Toàn dân được tay Chúa che chở, đi qua nơi ấy và chiêm ngưỡng những diệu kỳ phi thường của Chúa. Lạy Chúa, họ như đàn ngựa giữa bãi cỏ, như đoàn chiên nhảy mừng, họ tán dương Chúa, là Ðấng đã giải thoát họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 2-3. 36-37. 42-43","response":"Ðáp: Hãy nhớ lại những điều kỳ diệu Chúa đã làm. Hoặc đọc: Alleluia.","verses":["Xướng: Hãy xướng ca, đàn hát mừng Người; hãy tường thuật mọi điều kỳ diệu của Chúa. Hãy tự hào vì danh thánh của Người; tâm hồn những ai tìm Chúa, hãy mừng vui.","Xướng: Chúa sát phạt mọi con đầu lòng trong lãnh thổ, của đầu mùa do sức lực cường tráng chúng sinh ra. Người dẫn họ ra đi cùng với bạc với vàng, và trong các bộ lạc của họ, không một ai đau yếu.","Xướng: Vì Người đã nhớ lời thánh thiện của Người, lời Người đã ban bố cùng Abraham là tôi tớ Người. Người đã đưa dân tộc Người ra đi trong niềm vui vẻ, đưa những kẻ Người kén chọn ra đi trong tiếng hân hoan."]},"alleluia":{"verse":"2 Tm 1, 10b","content":"alleluia! – Ðấng Cứu Chuộc chúng ta là Ðức Giêsu Kitô đã dùng Tin Mừng mà tiêu diệt sự chết, và chiếu soi sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 18, 1-8","info":"“Thiên Chúa sẽ minh xử cho những kẻ Người tuyển chọn hằng kêu cứu với Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ một dụ ngôn, dạy các ông phải cầu nguyện luôn, đừng ngã lòng mà rằng:\r“Trong thành kia, có một vị thẩm phán không kính sợ Thiên Chúa, cũng không kiêng nể người ta. Trong thành đó lại có một bà goá đến thưa ông ấy rằng: “Xin ông minh oan cho tôi khỏi tay kẻ thù”. Trong một thời gian lâu dài, ông không chịu, nhưng sau đó ông nghĩ rằng: “Mặc dầu ta không kính sợ Thiên Chúa, mà cũng chẳng kính nể người ta, nhưng vì bà goá này cứ quấy rầy ta mãi, nên ta sẽ xử cho bà ấy, kẻo bà ấy đến mãi làm ta nhức óc”.\rRồi Chúa phán: “Các con hãy nghe lời vị thẩm phán bất lương nói đó. Vậy Thiên Chúa lại không minh xử cho những kẻ Người tuyển chọn hằng kêu cứu với Người đêm ngày, mà khoan giãn với họ mãi sao? Thầy bảo các con, Chúa sẽ kíp giải oan cho họ. Nhưng khi Con Người đến, liệu sẽ còn gặp được lòng tin trên mặt đất nữa chăng?”","end":"Ðó là lời Chúa"}},
+        "5331": {"firstReading":{"excerpt":"(Năm I) 1 Mcb 1, 11-16. 43-45. 57-60. 65-67","info":"“Dân Israel phải chịu một cơn thịnh nộ khủng khiếp”.","title":"Trích sách Ma-ca-bê quyển thứ nhất.","content":"Trong những ngày ấy, bởi dòng các vua Hy-lạp sinh ra một mầm mống tội lỗi, là Antiôcô Êpiphan, con vua An-ti-ô-cô, trước kia bị bắt làm con tin tại Rô-ma; năm vương quốc Hy-lạp một trăm ba mươi bảy, ông lên ngôi vua.\rThời đó từ Ít-ra-en cũng xuất hiện một số người bất lương mê hoặc được nhiều người, chúng nói rằng: “Này, ta hãy giao ước với các dân ở chung quanh chúng ta, vì từ ngày chúng ta đoạn giao với các dân ấy, chúng ta đã gặp nhiều tai họa”. Họ cho lời nói ấy là đúng. Một số trong dân chúng hối hả đi yết kiến nhà vua và được nhà vua cho phép tuân giữ các luật lệ của dân ngoại. Họ liền xây cất một thao trường ở Giê-ru-sa-lem theo tập quán của dân ngoại; họ tìm cách huỷ bỏ vết tích của phép cắt bì, chối bỏ Giao Ước thánh để rồi giao ước với kẻ ngoại. Họ tự bán mình để làm sự dữ.\rVua An-ti-ô-cô ra chiếu chỉ khắp nước truyền cho mọi dân hợp thành một dân và mỗi dân phải bỏ tục lệ riêng mình; tất cả các dân ngoại đều tuân lệnh nhà vua. Nhiều người Ít-ra-en cũng sẵn sàng theo việc phượng tự của nhà vua, họ liền hiến tế cho ngẫu tượng và phế bỏ ngày sabbat.\rNgày rằm tháng Kislêu, năm một trăm bốn mươi lăm, vua An-ti-ô-cô đặt một ngẫu tượng ghê tởm ngay trên bàn thờ dâng của lễ toàn thiêu. Người ta cũng lập nhiều bàn thờ khác trong các thành lân cận của Giu-đa: người ta đốt hương cúng tế trước cửa nhà và ở các công trường. Hễ gặp thấy sách luật nào, họ xé nát và đem đốt đi. Nếu người ta bắt gặp sách giao ước trong nhà người nào hoặc bắt gặp kẻ nào giữ Luật Chúa, thì kẻ ấy sẽ bị xử tử theo đúng chiếu chỉ của nhà vua. Nhưng cũng có nhiều người Ít-ra-en tỏ ra kiên quyết, và nhất định không ăn của gì dơ nhớp; họ thà chết chẳng thà làm cho mình ra ô uế bởi của ăn dơ và phạm đến Giao Ước thánh, và quả thực họ đã chết. Dân Ít-ra-en phải chịu một cơn thịnh nộ khủng khiếp.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 53. 61. 134. 150. 155. 158","response":"Ðáp: Lạy Chúa, xin bảo toàn cho con sống, và con sẽ tuân giữ lời nghiêm huấn của Ngài","verses":["Xướng: Con nổi cơn uất hận vì những người tội lỗi, bọn chúng bỏ rơi luật pháp của Ngài.","Xướng: Thừng chão bọn ác nhân đã trói buộc con, nhưng con chẳng lãng quên luật pháp của Ngài.","Xướng: Xin Chúa cứu con khỏi người ta áp bức, để con tuân giữ các huấn lệnh của Ngài. –","Xướng: Những kẻ bách hại con cách độc ác đang tiến lại gần, bọn chúng sống xa pháp luật của Chúa.","Xướng: Ơn cứu độ của Chúa xa bọn ác nhân, vì chúng chẳng lo giữ những thánh chỉ của Ngài.","Xướng: Nhìn thấy những kẻ phản bội mà con chán nản, vì chúng không tuân giữ lời sấm của Ngài."]},"alleluia":{"verse":"Lc 16, 31","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia. ( Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Tôi là ánh sáng thế gian. Ai theo tôi sẽ nhận được ánh sáng đem lại sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 18, 35-43","info":"“Ngươi muốn Ta làm gì cho ngươi? – Lạy Ngài, xin cho tôi được xem thấy”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi Chúa đến gần thành Giê-ri-cô, thì có một người mù ngồi ăn xin bên vệ đường. Khi nghe tiếng đám đông đi qua, anh liền hỏi có chuyện gì đó. Người ta nói cho anh biết có Ðức Giê-su Nazareth đang đi qua. Bấy giờ anh liền kêu lên rằng: “Lạy ông Giê-su con vua Ða-vít, xin thương xót tôi!” Những người đi trước mắng bảo anh nín đi, nhưng anh lại càng kêu lớn tiếng hơn: “Lạy con vua Ða-vít, xin thương xót tôi!” Vậy Chúa Giê-su dừng lại, truyền dẫn anh đến cùng Người. Khi anh đến gần bên Người, Người hỏi anh: “Ngươi muốn Ta làm gì cho ngươi?” Anh thưa: “Lạy Ngài, xin cho tôi được xem thấy”. Chúa Giê-su bảo anh: “Hãy nhìn xem, lòng tin của ngươi đã cứu chữa ngươi”. Tức khắc anh thấy được và anh đi theo Người, và ca tụng Thiên Chúa. Thấy vậy toàn dân liền ca ngợi Thiên Chúa.","end":"Ðó là lời Chúa"}},
+        "5332": {"firstReading":{"excerpt":"(Năm I) 2 Mcb 6, 18-31","info":"“Tôi sẽ để lại một tấm gương cao đẹp, nếu tôi tự ý và anh dũng chết cho các lề luật đáng kính và thánh thiện của chúng tôi”.","title":"Trích sách Ma-ca-bê quyển thứ hai.","content":"Trong những ngày ấy, Êlêazarô, một người trong hàng Luật sĩ vị vọng, ông đã có tuổi và diện mạo oai phong, ông bị người ta cạy miệng bắt phải ăn thịt heo. Nhưng ông thà chết vinh còn hơn sống nhục, nên ông tự ý ra pháp trường. Hiểu rằng ông phải xử trí như thế nào, ông nhẫn nại chịu đựng, khẳng khái không ăn đồ cấm vì ham sống. Các bạn cố tri đứng đó cảm thương ông, gọi lén ông ra khuyên ông xin người ta đem cho ông các thứ thịt ông có phép dùng, rồi ông chỉ giả vờ ăn thịt cúng như nhà vua đã truyền; làm như thế ông sẽ thoát chết; và do tình bạn cố tri, họ đã tỏ lòng nhân đạo như vậy đối với ông. Nhưng nghĩ đến địa vị bậc lão thành, mái tóc bạc khả kính, cách ăn ở tốt đẹp từ thời niên thiếu, mà nhất là sống xứng với lề luật thánh mà chính Thiên Chúa đã lập, ông liền trả lời, bảo họ rằng ông sẵn sàng chịu chết. Ông nói:\r“Vì ở tuổi chúng tôi không nên giả vờ, kẻo nhiều thanh niên tưởng rằng Êlêazarô đã chín mươi tuổi đầu mà còn theo lối sống của dân ngoại. Rồi vì sự giả vờ của tôi để sống thêm một ít lâu nữa, tôi sẽ làm cho chính họ cũng lầm lạc, và vì thế, tôi sẽ chuốc lấy nhơ nhớp và ố danh cho tuổi già của tôi. Mà dầu tôi có thoát khỏi hình phạt của loài người, thì dầu sống dầu chết, tôi sẽ không thoát khỏi bàn tay của Thiên Chúa toàn năng. Bởi thế, nếu giờ đây tôi can đảm từ giã cuộc đời, tôi sẽ tỏ ra xứng đáng với tuổi già của tôi; tôi sẽ để lại cho các thiếu niên một tấm gương cao đẹp, nếu tôi tự ý và anh dũng chết cho các lề luật đáng kính và thánh thiện của chúng tôi”.\rNói đoạn ông liền bị điệu đến pháp trường. Các người áp giải ông đổi lòng thiện cảm họ có đối với ông trước kia thành ác cảm, vì các lời ông vừa nói mà họ cho là điên khùng. Khi sắp chết vì đòn vọt, ông thều thào trong hơi thở cuối cùng: “Lạy Chúa là Ðấng thông minh chí thánh, Chúa cũng thấu rõ là con có thể thoát chết, nhưng con xin chịu đòn vọt đau đớn trong thân xác con, với niềm vui trong lòng vì kính sợ Chúa”. Và như thế ông từ giã cuộc đời, để lại không những cho các thanh niên mà còn cho toàn dân một tấm gương anh dũng và một lưu niệm đạo đức.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 3, 2-3. 4-5. 6-7","response":"Ðáp: Chúa đã nâng đỡ tôi (c. 6b).","verses":["Xướng: Thân lạy Chúa, nhiều thay người bách hại con, nhiều thay người nổi dậy chống con! Về con, nhiều kẻ thốt ra lời: “Hết trông hắn được Chúa Trời cứu độ”.","Xướng: Nhưng lạy Chúa, Chúa là thuẫn hộ thân con, là vinh quang con, Chúa cho con ngẩng đầu lên. – Tôi lên tiếng kêu cầu Chúa, và Chúa đã nghe tôi từ núi thánh của Ngài. – Ðáp.","Xướng: Tôi nằm xuống và đã ngủ ngon, rồi thức khoẻ vì Chúa đỡ nâng tôi. Tôi không kinh hãi ức triệu người ở chung quanh đồn trú hại tôi."]},"alleluia":{"verse":"Lc 21, 28","content":"alleluia! – Các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến. – Alleluia."},"gospel":{"excerpt":"Lc 19, 1-10","info":"“Con Người đến tìm kiếm và cứu chữa điều gì đã hư mất”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su vào Giê-ri-cô và đi ngang qua thành, thì kìa, có một người tên là Gia-kêu, ông thủ lãnh những người thu thuế và là người giàu có. Ông tìm cách để nhìn xem Chúa Giê-su là người thế nào, nhưng không thể được, vì người ta đông quá, mà ông lại thấp bé. Vậy ông chạy lên trước, trèo lên một cây sung để nhìn xem Người, vì Người sắp đi ngang qua đó. Khi vừa đến nơi, Chúa Giê-su nhìn lên và trông thấy ông ấy, nên Người bảo ông rằng: “Hỡi Gia-kêu, hãy xuống mau, vì hôm nay Ta phải lưu lại tại nhà ngươi”. Ông vội vàng trụt xuống và vui vẻ đón tiếp Người. Mọi người thấy vậy, liền lẩm bẩm rằng: “Ông này lại đến trọ nhà một người tội lỗi”. Ông Gia-kêu đứng lên thưa cùng Chúa rằng: “Lạy Ngài, tôi xin bố thí nửa phần của cải tôi cho kẻ khó, và nếu tôi có làm thiệt hại cho ai điều gì, tôi xin đền gấp bốn”. Chúa Giê-su bảo ông ấy rằng: “Hôm nay nhà này được ơn cứu độ, bởi người này cũng là con cái Áp-ra-ham. Vì chưng, Con Người đến tìm kiếm và cứu chữa điều gì đã hư mất”.","end":"Ðó là lời Chúa"}},
+        "5333": {"firstReading":{"excerpt":"(Năm I) 2 Mcb 7, 1. 20-31","info":"“Ðấng Sáng Tạo vũ trụ sẽ trả lại cho các con tinh thần và sự sống”.","title":"Trích sách Ma-ca-bê quyển thứ hai.","content":"Trong những ngày ấy, bảy anh em bị bắt cùng với thân mẫu, và thừa lệnh nhà vua, người ta dùng gậy và roi gân bò đánh đập họ, bắt buộc họ ăn thịt heo mà luật đã cấm.\rÐặc biệt là bà mẹ đáng ca tụng và ghi nhớ: chỉ trong một ngày, bà chứng kiến bảy con mình chết, bà vui lòng chịu đựng và trông cậy vào Thiên Chúa. Bà đầy khôn ngoan, dùng tiếng của cha ông, can đảm khuyên bảo từng đứa con; bà dùng sự hăng say nam nhân mà nâng đỡ tâm hồn phụ nữ của bà. Bà nói với các con: “Mẹ không biết các con đã thành hình trong lòng mẹ ra sao, vì không phải mẹ ban cho các con tinh thần, linh hồn và sự sống, cũng không phải mẹ sắp đặt các chi thể của mỗi con, nhưng là Ðấng Sáng Tạo vũ trụ, Người đã dựng nên loài người, và sáng tạo mọi sự với lòng nhân hậu. Người sẽ trả lại cho các con tinh thần và sự sống, vì giờ đây các con coi rẻ mạng sống các con để bảo vệ luật pháp của Người”.\rVua An-ti-ô-cô tưởng rằng lời lẽ ấy khinh thị và lăng nhục ông. Bởi thế, đối với đứa con út của bà còn sống, không những ông dùng lời dụ dỗ cậu, ông còn thề hứa với cậu sẽ làm cho cậu được sung sướng giàu có, nếu cậu chối bỏ lề luật của cha ông, sẽ coi cậu như bạn hữu của ông và ban cho cậu nhiều tước lộc. Nhưng cậu không quan tâm đến những lời dụ dỗ ấy, nhà vua liền cho gọi mẹ cậu đến và khuyên bà nhủ bảo con, để cứu lấy mạng sống con mình. Khi nhà vua đã dài lời khuyến khích bà, bà nhận lời thuyết phục con. Vậy bà cúi sát vào con bà, đánh lừa nhà vua độc ác ấy; bà còn dùng tiếng của cha ông mà nói rằng: “Hỡi con, hãy thương mẹ đã cưu mang con chín tháng trong dạ, đã cho con bú sữa trong ba năm, đã nuôi dưỡng và dẫn dắt con cho tới tuổi này. Con ơi, mẹ xin con hãy nhìn xem trời đất, và tất cả mọi sự trong đó; con biết rằng Thiên Chúa đã tác tạo những vật đó và loài người từ hư vô, nên con đừng sợ tên lý hình này, một hãy tỏ ra xứng đáng với các anh con và hãy nhận lãnh cái chết, để nhờ lòng lân tuất của Chúa, mẹ sẽ gặp con cùng với các anh con”.\rBà mẹ vừa dứt lời thì cậu con út lên tiếng rằng: “Các ông còn chờ gì nữa? Tôi không tuân lệnh nhà vua đâu, nhưng tôi tuân theo lề luật mà Mô-sê đã ban cho cha ông chúng tôi. Còn nhà vua, là kẻ đã bày ra đủ thứ để bách hại dân Do-thái, nhà vua sẽ không thoát khỏi tay Thiên Chúa đâu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 16, 1. 5-6. 8b và 15","response":"Ðáp: Lạy Chúa, khi thức giấc, con no thoả nhìn chân dung Chúa","verses":["Xướng: Lạy Chúa, xin nghe điều chính nghĩa của con, xin để ý đến lời con kêu cứu, lắng tai nghe tiếng con thốt ra tự cặp môi chân thành!","Xướng: Bước con đi bám chặt đường lối của Ngài, chân con đã không hề xiêu té. Con kêu van Ngài, bởi Ngài nhậm lời con, lạy Chúa, xin lắng tai về bên con, xin nghe rõ tiếng con.","Xướng: Xin che chở con trong bóng cánh của Ngài. Phần con, nhờ công chính, sẽ được thấy thiên nhan; khi thức giấc, con no thoả nhìn chân dung Chúa."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi gới răn Chúa được lập ra cho tới muôn đời. – Alleluia."},"gospel":{"excerpt":"Lc 19, 11-28","info":"“Sao ngươi không gửi bạc Ta ở ngân hàng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán thêm một dụ ngôn nữa, vì Người đã đến gần Giê-ru-sa-lem, mà dân chúng lại cứ tưởng là Nước Thiên Chúa sắp xuất hiện trong giây lát. Vậy Người phán rằng:\r“Có người quý tộc kia đi phương xa để được phong vương rồi trở về. Ông cho gọi mười người tôi tớ đến, giao cho họ mười nén bạc và dặn rằng: “Hãy làm lợi cho đến khi ta trở về”. Nhưng các người dân của ông ấy ghét ông, sai người đi theo mà rằng: “Chúng tôi không muốn ông ấy làm vua chúng tôi”. Ðược phong vương rồi ông trở về, cho gọi các tôi tớ mà trước kia ông đã giao tiền cho, để biết mỗi người đã làm lợi được bao nhiêu.\r“Người thứ nhất đến và thưa: “Tâu vua, nén bạc của vua đã sinh lợi được mười nén”. Nhà vua bảo: “Ðược, hỡi người tôi tớ tốt lành, ngươi đã trung tín trong điều nhỏ mọn, ngươi sẽ được quyền cai trị mười thành”. Người thứ hai đến thưa: “Tâu vua, nén bạc của vua đã sinh lợi được năm nén”. Nhà vua đáp: “Ngươi cũng vậy, hãy cai quản năm thành”.\r“Người thứ ba đến thưa: “Tâu vua, đây nén bạc của vua, tôi còn giữ trong khăn, vì tôi sợ ngài: ngài là người hà khắc, và lấy cái ngài không gửi, gặt cái ngài không gieo”. Vua phán rằng: “Hỡi đầy tớ bất lương, ta cứ lời ngươi mà xử ngươi. Ngươi đã biết ta là người hà khắc, lấy cái ta không gửi, gặt cái ta không gieo, sao ngươi không gửi bạc ta ở ngân hàng, để rồi khi ta trở về, ta có thể lấy cả vốn lẫn lời”.\r“Vua liền bảo những người đứng đó rằng: “Hãy lấy nén bạc của nó mà trao cho người đã có mười nén”. Họ tâu rằng: “Tâu vua, người ấy đã có mười nén rồi”. Vua đáp: “Ta nói cùng các ngươi: Ai có sẽ cho thêm, và người đó sẽ được dư dật; còn ai không có, người ta sẽ lấy đi cả cái nó đang có. Còn những kẻ nghịch cùng ta, không muốn ta làm vua, hãy đem chúng ra đây và giết chúng trước mặt ta”. Nói thế rồi Chúa liền dẫn họ lên Giê-ru-sa-lem.","end":"Ðó là lời Chúa"}},
+        "5334": {"firstReading":{"excerpt":"(Năm I) 1 Mcb 2, 15-29","info":"“Chúng tôi tuân theo lề luật cha ông chúng tôi”.","title":"Trích sách Ma-ca-bê quyển thứ nhất.","content":"Trong những ngày ấy, vua An-ti-ô-cô sai người đến cưỡng bách các người trốn ẩn tại thành Mô-đin cúng tế dâng hương và chối bỏ lề luật Thiên Chúa. Có nhiều người trong dân Israel tuân lệnh đến với họ, nhưng ông Mát-tít-gia và các con ông cương quyết không chịu theo. Các người vua An-ti-ô-cô sai đến, lên tiếng nói với Mát-tít-gia rằng: “Ông là thủ lãnh có tiếng tăm và có uy tín trong thành này và có nhiều con cái và anh em. Vậy ông hãy tiến lên trước tiên và thi hành lệnh nhà vua, như hết thảy mọi dân tộc, như các người chi tộc Giu-đa và những người còn ở lại Giê-ru-sa-lem đã thi hành rồi, ông và các con ông sẽ là bạn hữu của nhà vua, sẽ được nhà vua ban cho vàng bạc và ân huệ khác”. Mát-tít-gia trả lời và nói lớn tiếng rằng: “Cho dầu mọi dân tộc đều tuân lệnh vua An-ti-ô-cô, mọi người đều chối bỏ lề luật của cha ông mà vâng lệnh nhà vua, phần tôi và con cái cùng anh em tôi, chúng tôi vẫn tuân theo lề luật cha ông chúng tôi. Xin Thiên Chúa thương đừng để chúng tôi chối bỏ lề luật và giới răn Chúa. Chúng tôi sẽ không nghe theo lệnh vua An-ti-ô-cô, cũng chẳng cúng tế mà lỗi phạm lệnh truyền của lề luật chúng tôi, kẻo chúng tôi đi theo con đường khác”.\rÔng vừa dứt lời thì có một người Do-thái tiến ra cúng thần trước mặt mọi người, trên bàn thờ ở thành Mô-đin, theo chiếu chỉ của nhà vua. Thấy vậy, Mát-tít-gia đau lòng xót dạ, ông nổi giận vì yêu mến lề luật, ông xông tới giết ngay người ấy trên bàn thờ. Ông cũng giết luôn người vua An-ti-ô-cô sai đến để cưỡng bách người ta cúng tế; ông lật đổ cả bàn thờ. Lòng nhiệt thành của ông đối với lề luật cũng giống như lòng nhiệt thành của Pi-khát đã đối xử với Dim-ri con ông Xa-lu.\rÐoạn Mát-tít-gia kêu lớn tiếng khắp trong thành phố rằng: “Ai nhiệt thành với lề luật, tuân giữ lời Giao ước, hãy ra khỏi thành theo tôi!” Ông và con cái ông trốn lên núi, bỏ lại trong thành mọi tài sản họ có. Bấy giờ một số người còn nhiệt tâm với sự công chính và lề luật, cũng trốn vào hoang địa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 1-2. 5-6. 14-15","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ.","verses":["Xướng: Chúa là Thiên Chúa đã lên tiếng kêu gọi địa cầu, từ chỗ mặt trời mọc lên tới nơi lặn xuống. Từ Sion đầy mỹ lệ, Thiên Chúa hiển linh huy hoàng.","Xướng: Hãy tập họp cho Ta các tín đồ đã ký lời giao ước của Ta cùng hy sinh lễ. Và trời cao sẽ loan truyền sự công chính của Người, và chính Thiên Chúa Người là thẩm phán.","Xướng: Hãy hiến dâng Thiên Chúa lời khen ngợi, và làm trọn điều khấn hứa cùng Ðấng Tối Cao. Ngươi hãy kêu cầu Ta trong ngày khốn khó, Ta sẽ giải thoát ngươi và ngươi sẽ kính trọng Ta."]},"alleluia":{"verse":"x. Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 19, 41-44","info":"“Chớ chi ngươi hiểu biết sứ điệp mang hoà bình lại cho ngươi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su đến gần Giê-ru-sa-lem, trông thấy thành thì Người khóc thương thành ấy mà rằng: “Chớ chi hôm nay ngươi hiểu biết sứ điệp mang hoà bình lại cho ngươi! Nhưng giờ đây, sứ điệp ấy bị che khuất khỏi mắt ngươi. Vì sẽ đến ngày quân thù đắp lũy bao vây ngươi, xiết chặt ngươi tứ bề. Chúng sẽ tàn phá ngươi bình địa, ngươi cùng con cái ở trong thành. Chúng sẽ không để lại hòn đá nào trên hòn đá nào, vì ngươi đã không nhận biết giờ ngươi được thăm viếng”.","end":"Ðó là lời Chúa"}},
+        "5335": {"firstReading":{"excerpt":"(Năm I) 1 Mcb 4, 36-37, 52-59","info":"“Họ làm lễ cung hiến bàn thờ và hân hoan dâng lễ toàn thiêu”.","title":"Trích sách Ma-ca-bê quyển thứ nhất.","content":"Trong những ngày ấy, Giu-đa và anh em ông nói rằng: “Quân thù chúng ta đã bị tiêu diệt, nay chúng ta hãy đi thanh tẩy và cung hiến Ðền thánh lại”.\rToàn thể quân đội được triệu tập, rồi cùng lên núi Si-on.\rNgày hai mươi lăm tháng chín (tức là tháng Kislêu) năm một trăm bốn mươi tám, họ dậy sớm, dâng lễ tế như Luật dạy trên bàn thờ dùng để dâng lễ toàn thiêu mà họ vừa mới thiết lập. Bàn thờ đã được cung hiến lại giữa những tiếng ca, tiếng đàn lục huyền cầm, phong cầm cùng tiếng não bạt, đúng mùa, đúng ngày trước kia dân ngoại đã xúc phạm đến bàn thờ. Toàn dân sấp mình thờ lạy và ca tụng Ðấng ngự trên trời đã ban chiến thắng cho họ.\rHọ làm lễ cung hiến bàn thờ suốt tám ngày, hân hoan dâng lễ toàn thiêu, lễ đền tội và lễ tạ ơn. Họ trang hoàng mặt tiền Ðền thờ với những triều thiên vàng và bảng chương, sửa lại các cửa ra vào và các phòng, đặt cánh cửa lại. Dân chúng nô nức vui mừng vì đã rửa sạch được nỗi tủi nhục do dân ngoại gây nên. Giuđa cùng với anh em ông và cộng đoàn Israel quyết định rằng: Hằng năm, từ ngày hai mươi lăm tháng Kislêu, lễ cung hiến bàn thờ sẽ được cử hành trong vui mừng hân hoan suốt tám ngày.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sb 29, 10. 11abc. 11d-12a. 12bcd","response":"Ðáp: Lạy Chúa, chúng con chúc tụng thánh danh vinh hiển của Chúa (c. 13b).","verses":["Xướng: Ða-vít đã chúc tụng Chúa trước mặt toàn thể cộng đồng, Người thưa: “Lạy Chúa là Thiên Chúa Ít-ra-el cha ông chúng con, Chúa đáng chúc tụng từ đời đời tới muôn muôn thuở”.","Xướng: Lạy Chúa, cao sang, quyền bính và vinh quang, chiến thắng, lời ca khen đều thuộc về Chúa, vì tất cả những gì trên trời dưới đất là của Chúa.","Xướng: Chúa ngự trên tất cả những đế vương. Giàu sang là của Chúa, và vinh quang là của Chúa.","Xướng: Chúa thống trị trên tất cả mọi loài, sức mạnh quyền bính đều ở trong tay của Chúa; ở trong tay Chúa, mọi uy phong và vững bền."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa, và để con hết lòng vâng theo luật đó. – Alleluia."},"gospel":{"excerpt":"Lc 19, 45-48","info":"“Các ngươi đã biến đền thờ Thiên Chúa thành sào huyệt trộm cướp”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su vào đền thờ, Người liền xua đuổi các người buôn bán tại đó và phán bảo họ rằng: “Có lời chép rằng: Nhà Ta là nhà cầu nguyện, các ngươi đã biến thành sào huyệt trộm cướp”. Và hằng ngày Người giảng dạy trong Ðền thờ. Các thượng tế, luật sĩ và kỳ lão trong dân tìm cách hại Người, nhưng họ không biết phải làm cách nào, vì dân chúng hết thảy đều chăm chú nghe Người.","end":"Ðó là lời Chúa"}},
+        "5336": {"firstReading":{"excerpt":"(Năm I) 1 Mcb 6, 1-13","info":"“Vì các tai họa trẫm đã gây cho Giê-ru-sa-lem mà trẫm phải buồn bực mà chết”.","title":"Trích sách Ma-ca-bê quyển thứ nhất.","content":"Trong những ngày ấy, vua An-ti-ô-cô rảo khắp các tỉnh miền bắc. Vua nghe nói tại Ba-tư có thành Êlymai nổi tiếng là giàu có và lắm vàng bạc; trong thành lại có một ngôi đền thờ lắm bảo vật, đầy những binh giáp bằng vàng, chiến bào, khiên mộc di sản của A-le-xan-đrô, con Phi-líp-phê, vua xứ Ma-cê-đô-ni-a, là vua tiên khởi cai trị dân Hy-lạp. Vậy ông đến tìm cách chiếm lấy thành để cướp của. Nhưng ông không thành công, vì dân thành đã biết trước ý định của ông, nên đã vùng lên chống lại. Ông bỏ chạy và buồn bực lui quân trở về Babylon.\rLúc vua còn ở Ba-tư, có người đến đem tin cho vua hay toán quân của ông ở Giuđa đã bị đánh bại chạy tán loạn, và Lysia, vị tướng chỉ huy một đoàn quân hùng hậu, cũng đã phải tháo lui chạy trốn quân Do-thái; quân Do-thái lại càng mạnh thêm nhờ ở khí giới, lương thực và chiến lợi phẩm rất nhiều đã lấy được của các đoàn quân họ đánh bại. Họ đã hạ tượng thần vua đã đặt trên bàn thờ ở Giêrusalem; họ cũng đã xây thành đắp luỹ cao như trước chung quanh Ðền thờ và chung quanh thành Bethsura.\rNghe tin ấy, nhà vua khiếp đảm và rất xúc động. Vua vật mình xuống giường và buồn đến lâm bệnh, (bởi vì) sự việc đã không xảy ra như vua ước muốn. Vua liệt giường nhiều ngày, càng ngày càng buồn. Và tưởng mình sắp chết, vua liền triệu tập tất cả bạn hữu lại mà nói với họ rằng: “Trẫm không còn chớp mắt được nữa và lòng trẫm tan nát vì ưu tư. Trẫm tự nghĩ: trước kia khi trẫm còn quyền thế, trẫm vui sướng và được người ta quý mến, mà giờ đây trẫm lâm cảnh buồn sầu và đau khổ biết bao! Bây giờ trẫm hồi tưởng lại các tai hoạ trẫm đã gây cho Giêru-salem: trẫm đã chiếm đoạt các chén bằng vàng bạc tại đó, và đã ra lệnh tiêu diệt dân Giuđêa cách vô cớ. Trẫm nhìn nhận là vì các việc ấy mà phải khốn khổ như thế này, mà giờ đây trẫm phải buồn bực mà chết nơi đất khách quê người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 9, 2-3. 4 và 6. 16b và 19","response":"Ðáp: Lạy Chúa, con mừng rỡ vì ơn Ngài cứu độ","verses":["Xướng: Lạy Chúa, con sẽ ca tụng Chúa hết lòng, con sẽ kể ra mọi điều lạ lùng của Chúa. Con sẽ mừng rỡ hân hoan trong Chúa, con sẽ đàn ca danh Ngài, lạy Ðấng Tối Cao.","Xướng: Vì quân thù của con đã tháo lui, chúng chạy trốn và vong mạng trước thiên nhan Chúa. Chúa trách phạt chư dân, diệt vong đứa ác, bôi nhoà tên tuổi chúng tới muôn đời.","Xướng: Người chư dân rơi chìm xuống hố mà họ đã đào, chân họ mắc vào cạm bẫy mà họ đã che. Vì kẻ cơ bần không bị đời đời quên bỏ, hy vọng người đau khổ không mãi mãi tiêu tan."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia. (Hoặc đọc: )  Alleluia, alleluia! – Đấng Cứu Độ chúng ta là Đức Giê-su Ki-tô đã tiêu diệt thần chết, và đã dùng Tin Mừng mà làm sáng tỏ phúc trường sinh.- Alleluia."},"gospel":{"excerpt":"Lc 20, 27-40","info":"“Thiên Chúa không phải là Thiên Chúa của kẻ chết, nhưng của kẻ sống”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, có mấy người thuộc phái Sa-đốc, là những người chối không tin có sự sống lại, đến gần Chúa Giê-su hỏi Người rằng: “Thưa Thầy, Mô-sê đã viết cho chúng tôi: nếu ai có một người anh cưới vợ, rồi chết đi mà không có con, thì người em phải cưới người vợ đó để anh mình có kẻ nối dòng. Vậy có bảy anh em: người thứ nhất cưới vợ, rồi chết mà không có con. Người kế tiếp cưới vợ goá đó, rồi cũng chết không con. Người thứ ba cũng cưới người vợ góa đó. Và tất cả bảy người đều cưới như vậy và đều chết mà không để lại người con nào. Sau cùng người thiếu phụ đó cũng chết. Vậy đến ngày sống lại, người đàn bà đó sẽ là vợ ai trong các người ấy, vì tất cả bảy người đều lấy người ấy làm vợ?”\rChúa Giê-su trả lời rằng: “Con cái đời này cưới vợ lấy chồng, song những ai sẽ xét đáng được dự phần đời sau và được sống lại từ cõi chết, thì sẽ không cưới vợ lấy chồng; họ sẽ không thể chết nữa, vì họ giống như thiên thần, họ là con cái Thiên Chúa: vì họ là con cái của sự sống lại. Về vấn đề kẻ chết sống lại, thì Mô-sê trong đoạn nói về Bụi gai, khi ông gọi Chúa là Thiên Chúa Áp-ra-ham, Thiên Chúa I-sa-ac, và Thiên Chúa Gia-cóp. Thiên Chúa không phải là Thiên Chúa của kẻ chết, mà là của kẻ sống, vì mọi người đều sống cho Chúa”.\rBấy giờ có mấy luật sĩ lên tiếng thưa Người rằng: “Lạy thầy, Thầy dậy đúng lắm”. Và họ không dám hỏi Người điều gì nữa.","end":"Ðó là lời Chúa"}},
+        "5341": {"firstReading":{"excerpt":"(Năm I) Ðn 1, 1-6. 8-20","info":"“Không ai bằng Ðaniel, Anania, Misael và Azaria”.","title":"Khởi đầu sách Tiên tri Ðaniel.","content":"Năm thứ ba triều đại vua Gioakim nước Giuđa, Nabukô-đônôsor, vua Babylon, tiến đến vây hãm Giêrusalem. Chúa trao vua Gioakim nước Giuđa và một phần đồ vật dùng trong đền thờ Chúa vào tay ông: Ông mang các đồ vật ấy về chùa thần minh của ông trong đất Sennaar và trong kho báu thần minh của ông.\rVua truyền cho quan thái giám Asphênez dẫn về hoàng cung các con cái Israel, các người thuộc hoàng tộc và gia đình quyền quý, các thiếu niên không tàn tật, tuấn tú, đầy khôn ngoan, thông minh, sáng trí, xứng đáng sống trong hoàng cung, để dạy văn chương và ngôn ngữ người Calđêa cho các cậu. Vua quy định mỗi ngày cho các cậu ăn đồ của vua ăn, và uống rượu vua uống, để sau ba năm nuôi dưỡng như vậy, các cậu có thể hầu cận trước mặt vua. Trong số các cậu thuộc dòng dõi Giuđa, có Ðaniel, Anania, Misael, và Azaria.\rÐaniel dốc lòng không để cho đồ vua ăn và rượu vua uống làm cậu ra ô uế, và xin quan thái giám đừng làm cho cậu ra ô uế. Thiên Chúa đã ban cho Ðaniel được ân huệ và lòng thương trước mặt vị tổng thái giám. Vị này bảo Ðaniel rằng: “Tôi sợ đức vua, Người đã quy định thức ăn và của uống cho các cậu rồi. Nếu Người xem thấy nét mặt các cậu xanh xao hơn đồng bạn, thế là các cậu nạp đầu tôi cho đức vua rồi”. Ðaniel nói với Malasar, kẻ được vị tổng thái giám chỉ định coi sóc Ðaniel, Anania, Misael và Azaria: “Tôi xin ông thử cho chúng tôi, là các tôi tớ ông, ăn rau và uống nước lã, rồi ông ngắm xem nét mặt chúng tôi và nét mặt những đứa dùng lương thực của đức vua; ông thấy sao, thì hãy đối xử với các tôi tớ ông như vậy”. Nghe nói thế, ông để thử chúng trong mười ngày. Sau mười ngày, nét mặt bốn cậu trở nên xinh tươi béo tốt hơn mọi thiếu niên dùng lương thực của nhà vua. Malasar cất đồ ăn và rượu uống của các cậu, rồi cho các cậu ăn rau.\rThiên Chúa ban cho các cậu này được thông minh, hiểu biết mọi sách vở và khôn ngoan; phần Ðaniel lại thông hiểu các thị kiến và chiêm bao. Ðến hết thời gian vua chỉ định, vị tổng thái giám dẫn các cậu đến trước mặt vua Nabukôđônôsor. Khi nói chuyện với các cậu, vua thấy mọi người không ai bằng Ðaniel, Anania, Misael và Azaria. Các cậu đứng trước mặt vua. Vua hỏi các cậu về sự khôn ngoan và thông minh, thì thấy các cậu giỏi hơn gấp mười lần các thuật sĩ, đồng bóng trong cả nước của vua.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 52. 53. 54. 55. 56","response":"Ðáp: Chúa đáng ca ngợi và tôn vinh muôn đời","verses":["Xướng: Lạy Chúa là Thiên Chúa cha ông chúng con, Chúa đáng chúc tụng, đáng ca ngợi, tôn vinh và tán tụng muôn đời. Chúc tụng thánh danh vinh quang Chúa, đáng ca ngợi, tôn vinh và tán tụng muôn đời.","Xướng: Chúa đáng chúc tụng trong đền thánh vinh quang Chúa, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa ngự trên ngai vương quyền Chúa, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa, Ðấng nhìn thấu vực thẳm và ngự trên các Thần Vệ Binh, đáng ca ngợi và tôn vinh muôn đời.","Xướng: Chúc tụng Chúa ngự trên bầu trời, đáng ca ngợi và tôn vinh muôn đời."]},"alleluia":{"verse":"Lc 21, 36","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 21, 1-4","info":"“Người thấy một bà goá nghèo khó bỏ vào đó hai đồng tiền nhỏ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su nhìn lên, thấy những người giàu có bỏ tiền dâng cúng vào hòm tiền. Người cũng thấy một bà goá nghèo khó bỏ vào đó hai đồng tiền nhỏ, nên bảo rằng: “Thầy bảo thật các con, bà goá nghèo khó này đã bỏ vào hòm tiền nhiều hơn mọi người. Vì mọi người kia lấy của dư thừa mà dâng cho Thiên Chúa, còn bà này túng thiếu, bà đã dâng tất cả những gì bà có để nuôi sống mình”.","end":"Ðó là lời Chúa"}},
+        "5342": {"firstReading":{"excerpt":"(Năm I) Ðn 2, 31-45","info":"“Thiên Chúa khiến một vương quốc dấy lên và tàn phá hết các vương quốc”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Trong những ngày ấy, Ða-ni-en tâu vua Na-bu-cô-đô-nô-sô rằng: “Tâu đức vua, đức vua chiêm bao thấy một tượng to lớn; tượng ấy rất cao sang rực rỡ, đứng trước mặt vua, hình dung thật đáng sợ hãi. Ðầu tượng ấy bằng vàng ròng, ngực và cánh tay bằng bạc, bụng và đùi bằng đồng, ống chân bằng sắt, bàn chân nửa sắt nửa sành. Ðang lúc vua trông thấy thế, thì có tảng đá từ ngọn núi tách ra, không phải do tay người ta làm, tảng đá ấy rớt trúng chân tượng nửa sắt nửa sành, làm nó đổ nát tan tành: Bấy giờ sắt, sành, đồng, bạc, vàng, đều tan nát một trật, bị gió cuốn đi mất, không còn tìm thấy đâu nữa: như bụi mùa hè trên sân lúa; còn tảng đá làm vỡ bức tượng, đã trở thành núi lớn choán khắp địa cầu.\rChiêm bao là như thế: tâu đức vua, thần xin giải thích chiêm bao trước mặt đức vua. Hoàng thượng là vua các vua. Thiên Chúa trên trời đã ban cho hoàng thượng vương quốc, sức mạnh, quyền thế, và vinh quang. Người còn trao vào tay hoàng thượng nhân dân các nước, thú đồng và chim trời, để hoàng thượng cai quản mọi sự. Vậy chính đức vua là đầu bằng vàng. Sau đức vua, thì có một vương quốc khác bằng bạc, kém hơn đức vua, sẽ dấy lên. Sau đó, có một vương quốc thứ ba bằng đồng, sẽ cai trị khắp địa cầu. Kế đó là vương quốc thứ tư bằng sắt. Sắt tàn phá và chế ngự mọi vật thế nào, thì nước này cũng tàn phá và chế ngự mọi sự như vậy. Ðức vua trông thấy chân và ngón chân nửa sành nửa sắt, đó là nước sẽ phân rẽ; đức vua trông thấy sắt sành lẫn lộn với nhau, đó là nền tảng nước kiên cố như sắt. Ngón chân nửa sắt nửa sành, là vương quốc sẽ nửa mạnh nửa yếu. Ðức vua trông thấy sắt lộn với sành: (chúng sẽ pha loại lai giống người với nhau), nhưng không thể hoà hợp với nhau, như sắt chẳng hoà hợp với sành vậy.\rTrong thời đại có những vương quốc ấy, Thiên Chúa trên trời sẽ khiến một nước dấy lên, đời đời sẽ không hề bị tàn phá và không bị trao cho dân tộc khác, sẽ tàn phá và huỷ hoại các nước này; nó sẽ đứng vững muôn đời. (Cũng như) Ðức vua trông thấy tảng đá từ ngọn núi tách ra, không phải (do) người ta làm, nó đã tàn phá sành, sắt, đồng, bạc và vàng. Ấy Thiên Chúa cao cả đã tỏ ra cho vua những sự sẽ xảy đến sau này: Ðây mới thật là chiêm bao, là lời giải thích rất chân thành”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 57. 58. 59. 60. 61","response":"Ðáp: Hãy ngợi khen và tán tạ Chúa tới muôn đời","verses":["Xướng: Hãy chúc tụng Chúa đi, mọi công cuộc của Chúa, hãy ngợi khen và tán tạ Chúa tới muôn đời.","Xướng: Chúc tụng Chúa đi, các thiên thần của Chúa.","Xướng: Chúc tụng Chúa đi, muôn cõi trời cao.","Xướng: Chúc tụng Chúa đi, ngàn nước trên cõi cao xanh.","Xướng: Chúc tụng Chúa đi, muôn đạo thiên binh của Chúa."]},"alleluia":{"verse":"Lc 21, 36","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 21, 5-11","info":"“Không còn hòn đá nào nằn trên hòn đá nào”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, có mấy người trầm trồ về đền thờ được trang hoàng bằng đá tốt và những lễ vật quý, nên Chúa Giêsu phán rằng: “Những gì các con nhìn ngắm đây, sau này sẽ đến ngày không còn hòn đá nào nằm trên hòn đá nào mà chẳng bị tàn phá”. Bấy giờ các ông hỏi Người rằng: “Thưa Thầy, bao giờ những sự ấy sẽ xảy ra, và cứ dấu nào mà biết những sự đó sắp xảy đến?” Người phán: “Các con hãy ý tứ kẻo bị người ta lừa dối: vì chưng, sẽ có nhiều kẻ mạo danh Thầy đến mà tự xưng rằng: “Chính ta đây và thời gian đã gần đến”, các con chớ đi theo chúng. Khi các con nghe nói có chiến tranh loạn lạc, các con đừng sợ: vì những sự ấy phải đến trước đã, nhưng chưa phải là hết đời ngay đâu”.\rBấy giờ Người phán cùng các ông ấy rằng: “Dân này sẽ nổi dậy chống lại dân kia, và nước này sẽ chống với nước nọ. Sẽ có những cuộc động đất lớn mọi nơi, sẽ có ôn dịch đói khát, những hiện tượng kinh khủng từ trên trời và những điềm lạ cả thể”.","end":"Ðó là lời Chúa"}},
+        "5343": {"firstReading":{"excerpt":"(Năm I) Ðn 5, 1-6, 13-14, 16-17, 23-28","info":"“Có những ngón tay hiện ra như bàn tay một người”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Trong những ngày ấy, vua Bên-sát-xa dọn tiệc linh đình đãi một ngàn triều thần: ai nấy cứ theo tuổi mình mà uống rượu. Khi vua đã say rượu, liền truyền đem các bình, chén, bát bằng vàng bạc mà Na-bu-cô-đô-nô-sô, phụ vương ông, đã lấy trong đền thờ Giê-ru-sa-lem đem về, để cho vua, các triều thần, hoàng hậu và cung phi dùng uống rượu. Bấy giờ, người ta mang ra các bình, chén, bát bằng vàng bạc đã lấy trong đền thờ Giê-ru-sa-lem đem về. Vua, các triều thần, hoàng hậu và cung phi dùng đồ đó mà uống rượu. Họ vừa uống rượu vừa ca tụng các thần minh bằng vàng, bạc, đồng, sắt, gỗ, đá của họ.\rChính lúc ấy, có những ngón tay hiện ra như bàn tay một người viết chữ trên vách tường cung điện, đối diện ánh bạch lạp; vua nhìn thấy ngón tay viết chữ. Bấy giờ mặt vua đổi sắc, tư tưởng rối loạn, xương sống yếu sức, đầu gối va chạm lẫn nhau.\rLúc đó người ta dẫn Ða-ni-en đến trước mặt vua. Vua hỏi người rằng: “Nhà ngươi có phải là Ða-ni-en, con cái Giu-đa, phải lưu đày mà phụ vương trẫm đã điệu từ Giu-đa về đây chăng? Trẫm đã nghe rằng nhà ngươi được thần linh các vị thần phù giúp: ngươi được thông minh, trí tuệ và khôn ngoan phi thường. Trẫm đã nghe rằng nhà ngươi có thể cắt nghĩa những huyền bí và giải thích được những chuyện khúc mắc. Vậy nếu nhà ngươi đọc được hàng chữ này và cắt nghĩa cho trẫm, thì nhà ngươi sẽ được mặc áo đỏ, cổ đeo vòng vàng và trở nên vị tướng thứ ba trong vương quốc trẫm”.\rÐa-ni-en tâu lại trước mặt vua rằng: “Lễ vật của vua xin để lại cho vua, và ân huệ nhà vua, xin vua ban cho kẻ khác. Thần xin đọc hàng chữ này và cắt nghĩa cho đức vua. Ðức vua đã tự phụ chống đối Ðấng cai trị trên trời: đã đem bày trước mặt vua các bình, chén, bát lấy trong đền Chúa, rồi vua, triều thần, hoàng hậu và cung phi dùng những đồ ấy mà uống rượu; vua còn ca tụng các thần vàng bạc, đồng, sắt, gỗ, đá, toàn là những thứ không thấy, không nghe và không cảm giác: vua không tôn vinh Thiên Chúa, Ðấng cầm trong tay vận mệnh và đường lối của đức vua. Bởi đó, Chúa khiến ngón tay hiện ra viết hàng chữ đó.\r“Ðây những chữ đã viết như sau: Mơ-nê, Mơ-nê, Tơ-kên, Pác-xin. Xin giải nghĩa những chữ đó như sau: Mơ-nê: là Thiên Chúa đã đếm đủ số triều đại nhà vua rồi. Tơ-kên: là đã cân vua trên cán cân, và thấy vua hụt cân. Pác-xin: là vương quốc của vua đã bị phân chia và trao cho dân Mê-đi và Ba-tư”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 62. 63. 64. 65. 66. 67","response":"Ðáp: Hãy ngợi khen và tán tạ Chúa tới muôn đời","verses":["Xướng: Chúc tụng Chúa đi, mặt trời cùng với mặt trăng.","Xướng: Chúc tụng Chúa đi, trên trời cao, muôn tinh tú.","Xướng: Chúc tụng Chúa đi, mưa móc với sương sa.","Xướng: Chúc tụng Chúa đi, muôn ngàn ngọn gió.","Xướng: Chúc tụng Chúa đi, lửa đỏ với than hồng.","Xướng: Chúc tụng Chúa đi, rét mướt và lạnh lẽo."]},"alleluia":{"verse":"Mt 24, 41a và 44","content":"alleluia! – Các con hãy tỉnh thức và sẵn sàng, vì lúc các con không ngờ, Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Lc 21, 12-19","info":"“Các con sẽ bị mọi người ghét bỏ vì danh Thầy, nhưng dù một sợi tóc trên đầu các con cũng sẽ chẳng hư mất”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Người ta sẽ tra tay bắt bớ, ức hiếp và nộp các con đến các hội đường và ngục tù, điệu các con đến trước mặt vua chúa quan quyền vì danh Thầy: các con sẽ có dịp làm chứng. Vậy các con hãy ghi nhớ điều này trong lòng là chớ lo trước các con sẽ phải thưa lại thể nào. Vì chính Thầy sẽ ban cho các con miệng lưỡi và sự khôn ngoan, mọi kẻ thù nghịch các con không thể chống lại và bắt bẻ các con.\r“Cha mẹ, anh em, bà con, bạn hữu sẽ nộp các con, và có kẻ trong các con sẽ bị giết chết. Các con sẽ bị mọi người ghét bỏ vì danh Thầy. Nhưng dù một sợi tóc trên đầu các con cũng sẽ chẳng hư mất. Các con cứ bền đỗ, các con cũng sẽ giữ được linh hồn các con”.","end":"Ðó là lời Chúa"}},
+        "5344": {"firstReading":{"excerpt":"(Năm I) Ðn 6, 11-27","info":"“Thiên Chúa đã sai thiên sứ đến bịt miệng sư tử lại”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Trong những ngày ấy, có những người tọc mạch dò xét, họ bắt gặp Ða-ni-en đang cầu nguyện kêu xin cùng Chúa mình. Họ liền đến tâu vua về điều lệ rằng: “Tâu đức vua, chớ thì đức vua đã chẳng quy định rằng: trong ba mươi ngày, hễ ai cầu xin cùng thần minh nào hay người nào ngoài đức vua, thì, lạy đức vua, nó sẽ bị ném vào hang sư tử đó sao?” Vua trả lời rằng: “Ðúng, cứ như sắc chỉ Mê-đi và Ba-tư, thì không được sai lỗi”. Bấy giờ họ lại tâu vua rằng: “Ða-ni-en thuộc con cái Giu-đa phải lưu đày, đã chẳng xem sao lề luật và chiếu chỉ vua đã quy định: mỗi ngày nó đọc kinh cầu nguyện ba lần”. Khi nghe biết điều đó, nhà vua rất đỗi buồn rầu. Vua quyết tâm cứu chữa Ða-ni-en, và cố gắng cứu người cho đến khi mặt trời lặn. Những người ấy hiểu ý vua, liền tâu vua rằng: “Tâu đức vua, xin đức vua biết cho rằng dân Mê-đi và Ba-tư có lề luật này là bất cứ sắc chỉ nào đức vua ra, thì không được thay đổi”. Bấy giờ vua truyền dẫn Ða-ni-en ra, và họ ném người xuống hang sư tử. Vua bảo Ða-ni-en rằng: “Xin Thiên Chúa ngươi hằng thờ lạy sẽ cứu thoát ngươi”. Người ta liền lấy hòn đá chận cửa hang, vua lấy nhẫn mình và nhẫn các quan triều thần mà đóng ấn niêm phong, để bảo đảm vụ Ða-ni-en.\rVua trở về hoàng cung liền đi ngủ, không chịu ăn uống lương thực dâng trước mặt vua, nhưng vua không sao ngủ được. Trời vừa rạng đông, vua liền chỗi dậy, vội vã chạy ra hang sư tử. Khi đến gần cửa hang, vua liền lớn tiếng khóc thương Ða-ni-en rằng: “Hỡi Ða-ni-en tôi tớ Thiên Chúa hằng sống, không biết Thiên Chúa ngươi hằng thờ lạy có cứu chữa được ngươi thoát khỏi sư tử chăng?” Ða-ni-en trả lời rằng: “Tâu đức vua muôn tuổi, Thiên Chúa của thần đã sai thiên sứ đến bịt miệng sư tử lại, nên chúng không làm hại được thần; vì trước mặt Thiên Chúa, thần là người công chính; vả lại tâu đức vua, trước mặt đức vua, thần cũng chẳng làm điều gì sai lỗi. Bấy giờ vua mừng rỡ, truyền kéo Ða-ni-en ra khỏi hang. Khi Ða-ni-en ra khỏi hang, người ta thấy người không bị hề hấn gì, vì người đã tin cậy vào Thiên Chúa của người. Vua liền truyền đem các người tố cáo Ða-ni-en, cùng vợ con của chúng, ném vào hang sư tử, chúng chưa kịp rơi xuống tới đáy hang, thì đã bị sư tử cắn xé nát thịt tan xương.\rBấy giờ vua Ða-ri-ô ra chiếu chỉ cho toàn dân, các chi họ, các thổ ngữ, những người đang cư ngụ trong toàn quốc rằng: “Nguyện cho các ngươi được thêm sự bình an. Ta đã ra chiếu chỉ cho các địa phương trong nước ta, ai nấy đều phải kính sợ Thiên Chúa của Ða-ni-en. Vì chính Người mới là Thiên Chúa hằng sống, và hằng có đời đời; nước Người không hề tan rã, và quyền bính Người tồn tại đến muôn đời. Chính Người là Ðấng Giải thoát và Cứu độ, Người làm những dấu lạ và những việc kỳ diệu trên trời dưới đất: Người đã cứu chữa Ða-ni-en khỏi hang sư tử”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 68. 69. 70. 71. 72. 73. 74","response":"Ðáp: Hãy ngợi khen và tán tạ Chúa tới muôn đời (c. 57b).","verses":["Xướng: Chúc tụng Chúa đi, mưa đổ với sương rơi.","Xướng: Chúc tụng Chúa đi, nước đông và băng giá.","Xướng: Chúc tụng Chúa đi, nước đọng với tuyết sa.","Xướng: Chúc tụng Chúa đi, ngày quang và đêm tối.","Xướng: Chúc tụng Chúa đi, sáng sủa với thâm u.","Xướng: Chúc tụng Chúa đi, mây trôi và chớp giật.","Xướng: Hãy chúc tụng Chúa đi, hỡi địa cầu, hãy ngợi khen tán tạ Chúa tới muôn thuở. –"]},"alleluia":{"verse":"Lc 21, 28","content":"alleluia! – Các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến. – Alleluia."},"gospel":{"excerpt":"Lc 21, 20-28","info":"“Giê-ru-sa-lem sẽ bị các dân ngoại chà đạp, cho đến thời kỳ dành cho các dân ngoại chấm dứt”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Khi các con thấy Giê-ru-sa-lem bị các đạo binh bao vây, các con hãy biết rằng đã gần đến lúc thành ấy bị tàn phá. Bấy giờ những ai ở trong đất Giu-đa, hãy chạy trốn lên núi, những ai ở trong thành, hãy rời xa, và những ai ở vùng quê, chớ có vào thành; vì những ngày ấy là những ngày báo oán, để ứng nghiệm mọi lời đã ghi chép.\r“Khốn cho những đàn bà đang mang thai và nuôi con thơ trong những ngày ấy: vì chưng sẽ có sự khốn cực cả thể trong xứ và cơn thịnh nộ trút xuống dân này. Chúng sẽ ngã gục dưới lưỡi gươm, sẽ phải bắt đi làm tôi trong các dân, và Giê-ru-sa-lem sẽ bị các dân ngoại chà đạp, cho đến thời kỳ dành cho dân ngoại chấm dứt.\r“Sẽ có những điềm lạ trên mặt trời, mặt trăng và các ngôi sao; dưới đất, các dân tộc buồn sầu lo lắng, vì biển gầm sóng vỗ. Người ta sợ hãi kinh hồn, chờ đợi những gì sẽ xảy đến trong vũ trụ, vì các tầng trời sẽ rung chuyển. Lúc đó, người ta sẽ thấy trên đám mây, Con Người hiện đến đầy quyền năng và uy nghi cao cả. Khi những điều đó bắt đầu xảy đến, các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến”.","end":"Ðó là lời Chúa"}},
+        "5345": {"firstReading":{"excerpt":"(Năm I) Ðn 7, 2-14","info":"“Kìa có ai như con người ngự trên đám mây”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Trong một thị kiến ban đêm, tôi nhìn thấy có những ngọn gió từ bốn phương trời, làm dấy động biển cả. Có bốn con thú khổng lồ khác nhau từ biển đi lên. Con thứ nhất giống như con sư tử cái, mang hai cánh chim phượng: tôi nhìn nó mãi cho đến khi hai cánh nó bị nhổ đi, nó cất lên khỏi đất và đứng thẳng hai chân như con người, nó được ban tặng quả tim loài người.\rCon thú thứ hai giống như con gấu đứng một bên: trong miệng nó có ba hàng răng và người ta bảo nó rằng: “Mi hãy chỗi dậy ăn cho thật nhiều thịt”. Kế đó, tôi nhìn xem, và đây, con thú thứ ba giống như con beo, trên mình nó có bốn cánh như con chim, và nó có bốn đầu, nó được ban tặng một thứ quyền năng.\rSau đó, trong một thị kiến ban đêm, tôi thấy con thú thứ tư dữ tợn lạ lùng và mạnh mẽ: nó có nanh sắt to lớn, nó đang cắn nuốt nhai xé, và những gì còn sót lại thì nó lấy chân giày đạp; nó khác hẳn những con thú tôi đã trông thấy trước, nó có mười sừng. Tôi nhìn các sừng của nó, thì kìa một cái sừng nhỏ khác mọc lên giữa các sừng kia, ba trong số mười sừng trước bị nhổ ra trước mặt nó: trong chiếc sừng nhỏ có mắt như loài người và có miệng nói những lời trịnh trọng.\rTôi chăm chú nhìn mãi cho đến khi đặt xong các toà, và vị Bô Lão lên ngự trên toà: áo Người trắng như tuyết, tóc trên đầu Người tinh tuyền như lông chiên, toà của Người như ngọn lửa, các bánh xe như lửa cháy. Trước mặt Người có con sông lửa cuộn chảy như thác. Có hằng ngàn kẻ phụng sự Người và muôn muôn vàn kẻ chầu chực Người. Người ngự toà xét xử và các quyển sách đã được mở ra. Tôi nhìn về phía có tiếng ầm ầm từ chiếc sừng ấy phát ra: Tôi thấy con thú đó bị giết, xác nó bị huỷ diệt và bị lửa đốt. Các con thú khác cũng bị tước đoạt hết quyền lực, và thời gian sinh sống của chúng đã được quy định từng thời kỳ này đến thời kỳ kia.\rTrong một thị kiến ban đêm, tôi ngắm nhìn, và đây tôi nhìn thấy Con Người đến trong đám mây trên trời, Ngài tiến đến vị Bô Lão, và người ta dẫn Ngài đến trước mặt vị Bô Lão. Vị này ban cho Ngài quyền năng, vinh dự và vương quốc. Tất cả các dân tộc, chi họ, và tiếng nói đều phụng sự Ngài: quyền năng của Ngài là quyền năng vĩnh cửu, không khi nào bị cất mất; vương quốc của Ngài không khi nào bị phá huỷ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 75. 76. 77. 78. 79. 80. 81","response":"Ðáp: Hãy ngợi khen và tán tạ Chúa tới muôn đời","verses":["Xướng: Chúc tụng Chúa đi, núi non và các ngọn đồi.","Xướng: Chúc tụng Chúa đi, cỏ hoa mọc cõi trần ai.","Xướng: Chúc tụng Chúa đi, những dòng suối nước.","Xướng: Chúc tụng Chúa đi, biển cả với sông ngòi.","Xướng: Chúc tụng Chúa đi, cá voi và muôn loài lội nước.","Xướng: Chúc tụng Chúa đi, hết mọi giống chim trời.","Xướng: Chúc tụng Chúa đi, mọi thú rừng và gia súc, hãy ngợi khen và tán tạ Chúa muôn đời."]},"alleluia":{"verse":"Kh 2, 10c","content":"alleluia! – Chúa phán: “Ngươi hãy giữ lòng trung thành cho đến chết, thì Ta sẽ ban cho ngươi triều thiên sự sống”. – Alleluia. (Hoặc đọc: )Alleluia, alleluia. Anh em hãy đứng thẳng và ngẩng đầu lên, vì anh em sắp được cứu chuộc. – -Alleluia."},"gospel":{"excerpt":"Lc 21, 29-33","info":"“Khi các con xem thấy những sự đó xảy ra, thì hãy biết rằng nước Thiên Chúa đã gần đến”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ thí dụ này rằng: “Các con hãy xem cây vả và mọi thứ cây cối. Khi chúng đâm chồi nảy lộc, thì các con biết rằng mùa hè đã gần đến. Cũng thế, khi các con xem thấy những sự đó xảy ra, thì hãy biết rằng nước Thiên Chúa đã gần đến. Thầy bảo thật các con, thế hệ này sẽ chẳng qua đi cho đến khi mọi sự ấy xảy đến. Trời đất sẽ qua đi; nhưng lời Thầy nói sẽ chẳng qua đâu”.","end":"Ðó là lời Chúa"}},
+        "5346": {"firstReading":{"excerpt":"(Năm I) Ðn 7, 15-27","info":"“Sẽ trao quốc gia và quyền hành cho dân thánh của Ðấng Tối Cao”.","title":"Trích sách Tiên tri Ða-ni-en.","content":"Tôi là Ða-ni-en, lòng tôi kinh khiếp, tôi run sợ vì những sự đã thấy, các thị kiến trong đầu óc tôi khiến tôi bối rối. Tôi tiến lại gần một vị hầu cận, hỏi người ý nghĩa thật về những sự đó. Người liền giải thích cho tôi và bảo rằng: “Bốn con thú to lớn đó là bốn quốc gia sẽ dấy lên trên địa cầu. Nhưng các thánh của Thiên Chúa Tối Cao sẽ lên ngôi và sẽ nắm giữ quốc gia đến muôn muôn ngàn đời”.\rSau đó, tôi muốn tìm hiểu cặn kẽ về con vật thứ tư, nó khác xa mọi con thú kia và rất dữ tợn: nanh móng nó bằng sắt, nó cắn nuốt nhai nghiến, và lấy chân giày đạp những gì còn sót lại. Tôi cũng muốn biết rõ về mười cái sừng trên đầu nó, và một cái sừng mới mọc lên, trước khi ba cái sừng kia bị nhổ đi: cái sừng mới mọc lên lại có mắt và miệng, nó nói lên những điều trọng đại, và nó lớn hơn các sừng khác. Tôi nhìn xem chiếc sừng ấy giao chiến với các thánh và nó toàn thắng, cho tới khi vị Bô Lão đến trao quyền xét xử cho các thánh của Ðấng Cao Cả, tức là tới thời kỳ các thánh chiếm đoạt quốc gia.\rNgười lại bảo như thế này: “Con vật thứ tư là quốc gia thứ tư trên địa cầu, nó rộng lớn hơn mọi quốc gia, thôn tính cả hoàn cầu và giày đạp phá huỷ địa cầu. Còn mười chiếc sừng là mười vua trong nước đó. Sau mười vua ấy, thì một vua khác dấy lên, có quyền thế hơn các vua trước, và đánh đổ được ba vua. Ông ta nói những lời phạm đến Ðấng Chí Tôn, tàn sát các thánh của Ðấng Tối Cao, ông tưởng mình có thể thay đổi cả thời gian và luật pháp, và người ta sẽ trao vào tay ông một thời kỳ, hai thời kỳ và nửa thời kỳ.\r“Ðoạn sẽ có phán quyết để truất phế, tiêu diệt và huỷ hoại ông ta cho tận tuyệt. Còn quốc gia, quyền hành và sự cao sang dưới các tầng trời, sẽ trao cho dân thánh của Ðấng Tối Cao: nước Người là nước hằng hữu, mọi vua chúa sẽ suy phục vâng lời Người”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðn 3, 82. 83. 84. 85. 86. 87","response":"Ðáp: Hãy ngợi khen và tán tạ Chúa tới muôn đời","verses":["Xướng: Hãy chúc tụng Chúa đi, con người ta hỡi.","Xướng: Chúc tụng Chúa đi, hỡi Ít-ra-en.","Xướng: Chúc tụng Chúa đi, các thầy tư tế của Chúa.","Xướng: Chúc tụng Chúa đi, mọi người tôi tớ Chúa.","Xướng: Chúc tụng Chúa đi, thần hồn các vị hiền nhân.","Xướng: Chúc tụng Chúa đi, người thánh và lòng khiêm nhượng."]},"alleluia":{"verse":"Lc 21, 36","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 21, 34-36","info":"“Các con hãy tỉnh thức, để có thể thoát khỏi những việc sắp xảy đến”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Các con hãy giữ mình, kẻo lòng các con ra nặng nề bởi chè chén say sưa và lo lắng việc đời, mà ngày đó thình lình đến với các con như chiếc lưới chụp xuống mọi người sống trên mặt đất. Vậy các con hãy tỉnh thức và cầu nguyện luôn, để có thể thoát khỏi những việc sắp xảy đến và đứng vững trước mặt Con Người!”","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year2-ordinary-1", {
+    "ORDINARY_Y2": {
+        "5011": {"firstReading":{"excerpt":"(Năm II) 1 Sm 1, 1-8","info":"“Anna buồn sầu, vì Chúa đã để bà phải son sẻ”.","title":"Khởi đầu sách Samuel quyển thứ nhất.","content":"Khi ấy, có một người quê ở Rama-Sôphim, miền núi Ephraim, tên là Elcana, con của Giêrôha, Giêrôha con của Êlihu, Êlihu con của Thôhu, Thôhu con của Súp, người Ephratha. Elcana có hai người vợ: một tên là Anna, người kia tên là Phênenna. Và Phênenna có nhiều con, còn Anna thì không có con. Vào những ngày luật quy định, ông này thường rời quê mình lên Silô để thờ lạy Chúa các đạo binh và hiến dâng của lễ. Tại Silô, có hai người con của Hêli là Ophni và Phêni, cả hai đều là tư tế của Chúa. Ngày kia Elcana đi tế lễ, ông chia phần cho bà vợ Phênenna và tất cả các con trai con gái của bà. Ông buồn sầu chia cho Anna có một phần, mặc dầu ông yêu bà: vì Thiên Chúa để cho bà phải son sẻ. Cả đối thủ của bà cũng làm cho bà buồn phiền và nhục mạ bà, vì Chúa đã để bà phải son sẻ. Hằng năm, mỗi lần đến ngày lên đền thờ Chúa, Elcana đều chia phần như thế, và Anna cũng đều bị khiêu khích như vậy. Bà than khóc và không ăn uống gì. Vậy Elcana, chồng bà, đã nói với bà rằng: “Hỡi Anna, sao bà khóc, và không ăn uống gì? Sao bà buồn như vậy? Tôi đây chẳng quý hơn mười đứa con sao","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 14 và 17. 18-19","response":"Ðáp: Lạy Chúa, con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ. (Hoặc đọc: Alleluia.)","verses":["Xướng: Con lấy gì dâng lại cho Chúa, để đền đáp những điều Ngài ban tặng cho con? Con sẽ lãnh chén cứu độ, và con sẽ kêu cầu danh Chúa.","Xướng: Con sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài. Con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ, và con sẽ kêu cầu danh Chúa.","Xướng:  Con sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài, trong nơi hành lang nhà Chúa, ở giữa lòng ngươi, Giê-ru-sa-lem hỡi! "]},"alleluia":{"verse":"1 Sm 3, 9","content":" alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 1, 14-20","info":"“Anh em hãy ăn năn sám hối và tin vào Tin Mừng”.“Tân lang còn ở với họ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Sau khi Gio-an bị bắt, Chúa Giê-su sang xứ Ga-li-lê-a, rao giảng Tin Mừng của nước Thiên Chúa, Người nói: “Thời giờ đã mãn và nước Thiên Chúa đã gần đến; anh em hãy ăn năn sám hối và tin vào Tin Mừng”. \r Ðang lúc đi dọc theo bờ biển Ga-li-lê-a, Người thấy Si-mon và em là An-rê đang thả lưới xuống biển, vì các ông là những người đánh cá. Chúa Giê-su bảo các ông: “Hãy theo Ta, Ta sẽ làm cho các ngươi trở thành những kẻ chài lưới người”. Lập tức bỏ lưới, các ông theo Người. Ði xa hơn một chút nữa, Người thấy Gia-cô-bê con ông Giê-bê-đê và em là Gio-an đang xếp lưới trong thuyền, Người liền gọi các ông. Hai ông bỏ cha là Giê-bê-đê ở lại trên thuyền cùng với các người làm công, và đi theo Người.","end":"Ðó là lời Chúa"}},
+        "5012": {"firstReading":{"excerpt":"(Năm II) 1 Sm 1, 9-20","info":"“Chúa nhớ đến bà An-na và bà đã sinh Sa-mu-en”.","title":"Trích sách Samuel quyển thứ nhất.","content":"Trong những ngày ấy, tại Si-lô, sau khi ăn uống, An-na chỗi dậy. Thầy tư tế Hê-li đang ngồi trên ghế trước cửa đền thờ Chúa, nhằm lúc An-na sầu khổ, khóc lóc thảm thiết cầu nguyện với Chúa và khấn xin rằng: “Lạy Chúa các đạo binh, nếu Chúa đoái nhìn đến nỗi khổ của nữ tỳ Chúa, và nhớ đến con, Chúa không quên nữ tỳ Chúa, và ban cho nữ tỳ Chúa một con trai, thì con sẽ dâng nó cho Chúa trọn đời, và dao cạo sẽ không chạm đến đầu nó”. Ðang lúc An-na mải mê cầu nguyện trước mặt Chúa, thì Hê-li để ý nhìn miệng bà. Vì An-na cầu nguyện thầm thĩ trong lòng, nên bà chỉ nhép môi, và không nói ra tiếng. Hê-li tưởng bà say rượu, nên nói: “Chừng nào bà hết say? Bà hãy đi giã rượu đi!” An-na đáp lại rằng: “Thưa ông, tôi không khi nào uống rượu; vì tôi là người đàn bà vô phúc nhất, nên tôi không thể uống rượu và mọi chất làm cho say, nhưng tôi đã giãi bày tâm sự tôi trước nhan thánh Chúa. Ông đừng nghĩ rằng nữ tỳ của ông đây như một đứa con gái Bê-li-an; vì quá đau khổ và đắng cay, nên tôi đã tỏ bày tâm sự cho đến bây giờ. Bấy giờ Hê-li nói: “Bà hãy về bình an, Thiên Chúa Ít-ra-en sẽ ban cho bà điều bà xin”. Bà liền thưa: “Ước gì nữ tỳ của ông được đẹp lòng ông”. Bà lui ra ngoài, ăn uống và mặt bà không còn vẻ buồn sầu nữa. Sáng hôm sau, vợ chồng thức dậy, thờ lạy Chúa, rồi trở về nhà ở Ramtha.\rEn-ca-na ăn ở với bà An-na, và Chúa nhớ đến bà. Sau một thời gian, An-na có thai, sinh hạ một con trai và đặt tên là Sa-mu-en, vì bà đã xin Chúa ban nó cho bà.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sm 2, 1. 4-5. 6-7. 8abcd","response":"Ðáp: Tâm hồn tôi nhảy mừng trong Chúa","verses":["Xướng: Tâm hồn tôi nhảy mừng trong Chúa, và sức mạnh tôi được gia tăng trong Thiên Chúa tôi; miệng tôi mở rộng ra trước quân thù, vì tôi reo mừng việc Chúa cứu độ tôi.","Xướng: Chiếc cung những người chiến sĩ đã bị bẻ gãy, và người yếu đuối được mạnh khoẻ thêm. Những kẻ no nê phải làm thuê độ nhật, và những người đói khát khỏi phải làm thuê; người son sẻ thì sinh năm đẻ bảy, còn kẻ đông con nay phải héo tàn.","Xướng: Chúa làm cho chết và Chúa làm cho sống, Chúa đày xuống Âm phủ và Chúa dẫn ra. Chúa làm cho nghèo và làm cho giàu có, Chúa hạ xuống thấp và Chúa nâng lên cao.","Xướng: Từ nơi cát bụi, Chúa nâng người yếu đuối; từ chỗ phân nhơ, Chúa nhắc kẻ khó nghèo, để cho họ ngồi chung với các vương giả, và cho họ dự phần ngôi báu vinh quang."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mc 1, 21-28","info":"“Ngài giảng dạy người ta như Ðấng có uy quyền”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Mác-cô.","content":"(Ðến thành Ca-phác-na-um), ngày nghỉ lễ, Chúa Giê-su vào giảng dạy trong hội đường. Người ta kinh ngạc về giáo lý của Người, vì Người giảng dạy người ta như Ðấng có uy quyền, chứ không như các luật sĩ.\rÐang lúc đó, trong hội đường có một người bị thần ô uế ám, nên thét lên rằng: “Hỡi Giê-su Na-da-rét, có chuyện gì giữa chúng tôi và ông? Ông đến để tiêu diệt chúng tôi sao? Tôi biết ông là ai: là Ðấng Thánh của Thiên Chúa”. Chúa Giê-su quát bảo nó rằng: “Hãy im đi, và ra khỏi người này!” Thần ô uế liền dằn vật người ấy, thét lên một tiếng lớn, rồi xuất khỏi người ấy. Mọi người kinh ngạc hỏi nhau rằng: “Cái chi vậy? Ðây là một giáo lý mới ư? Người dùng uy quyền mà truyền lệnh cho cả các thần ô uế, và chúng vâng lệnh Người”. Danh tiếng Người liền đồn ra khắp mọi nơi, và lan tràn khắp vùng lân cận xứ Ga-li-lê-a.","end":"Ðó là lời Chúa"}},
+        "5013": {"firstReading":{"excerpt":"(Năm II) Sm 3, 1-10. 19-20","info":"“Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe”.","title":"Trích sách Sa-mu-enl quyển thứ nhất.","content":"Trong những ngày ấy, trẻ Sa-mu-en phục vụ trước mặt Hê-li. Thời ấy, ít khi Chúa phán và hiện ra. Ngày nọ, Hê-li đang nằm tại chỗ mình, mắt ông đã loà và không còn thấy được: Ðèn chầu chưa tắt, Sa-mu-en ngủ trong đền thờ Chúa, nơi đặt hòm bia Thiên Chúa. Chúa đã gọi Sa-mu-en; cậu trả lời: “Này con đây”, rồi chạy đến Hê-li và nói: “Này con đây, vì thầy gọi con”. Hêli trả lời: “Ta đâu có gọi, hãy trở về ngủ đi”. Sa-mu-en đi ngủ lại. Nhưng Chúa gọi Sa-mu-en lần nữa, và Sa-mu-en chỗi dậy, chạy đến Hê-li và nói: “Này con đây, vì thầy gọi con”. Hêli trả lời: “Này con, ta đâu có gọi, hãy trở về ngủ đi”. Sa-mu-en chưa nhận ra Chúa, và lời Chúa chưa mạc khải cho cậu. Chúa lại gọi Samuel lần thứ ba. Cậu chỗi dậy, chạy đến Hê-li và nói: “Này con đây, vì thầy gọi con”. Hê-li biết Chúa đã gọi Sa-mu-en, nên nói với Sa-mu-en: “Hãy đi ngủ, và nếu Người còn gọi con, thì con nói rằng: “Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe”. Sa-mu-en trở về chỗ mình và ngủ lại. Chúa đến gần và gọi Sa-mu-en như những lần trước: “Sa-mu-en! Sa-mu-en!” Và Sa-mu-en thưa: “Lạy Chúa, xin hãy nói, vì tôi tớ Chúa đang nghe”.\rPhần Sa-mu-en ngày càng lớn lên. Chúa hằng ở cùng cậu, và cậu không để rơi mất lời nào của Chúa. Toàn dân Ít-ra-en, từ Ðan tới Bersabê, đều nhận biết Sa-mu-en là tiên tri trung thực của Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 2 và 5. 7-8a. 8b-9. 10","response":"Ðáp: Lạy Chúa, này con xin đến để thực thi ý Chúa","verses":["Xướng: Con đã cậy trông, con đã cậy trông ở Chúa, Ngài đã nghiêng mình về bên con, và Ngài đã nghe tiếng con kêu cầu. Phúc thay người đặt niềm tin cậy vào Chúa, không theo kẻ thờ thần tượng, không hướng về chuyện gian tà. – Ðáp.","Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở rộng tai con. Chúa không đòi hỏi hy lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong quyển vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong đại hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 1, 29-39","info":"“Ngài chữa nhiều người đau ốm những chứng bệnh khác nhau”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy Chúa Giê-su ra khỏi hội đường. Người cùng với Gia-cô-bê và Gio-an đến nhà Si-mon và An-rê. Lúc ấy bà nhạc gia của Si-mon cảm sốt nằm trên giường, lập tức người ta nói cho Người biết bệnh tình của bà. Tiến lại gần, Người cầm tay bà, và nâng đỡ dậy. Bà liền khỏi cảm sốt và đi tiếp đãi các Ngài.\rChiều đến, lúc mặt trời đã lặn, người ta dẫn đến Người tất cả những bệnh nhân, tất cả những người bị quỷ ám; và cả thành tụ họp trước cửa nhà. Người chữa nhiều người đau ốm những chứng bệnh khác nhau, xua trừ nhiều quỷ, và không cho chúng nói, vì chúng biết Người. Sáng sớm tinh sương, Người chỗi dậy, ra khỏi nhà, đi đến một nơi thanh vắng và cầu nguyện tại đó. Si-mon và các bạn chạy đi tìm Người. Khi tìm được Người, các ông nói cùng Người rằng: “Mọi người đều đi tìm Thầy”. Nhưng Người đáp: “Chúng ta hãy đi đến những làng, những thành lân cận, để Ta cũng rao giảng ở đó nữa”. Và Người đi rao giảng trong các hội đường, trong khắp xứ Ga-li-lê-a và xua trừ ma quỷ.","end":"Ðó là lời Chúa"}},
+        "5014": {"firstReading":{"excerpt":"(Năm II) 1 Sm 4, 1-11","info":"“Israel thất trận và hòm bia Thiên Chúa bị chiếm đoạt”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, những người Phi-li-tinh kéo đến gây chiến, và Ít-ra-en phải xuất quân chống lại và đóng binh tại gần nơi gọi là Tảng Ðá Phù Hộ, còn người Phi-li-tinh đóng quân tại A-phếch và giàn trận đánh dân Ít-ra-en. Vừa giáp trận, dân Ít-ra-en đã phải rút lui trốn khỏi quân Phi-li-tinh; và trong trận đó có khoảng bốn ngàn binh sĩ bị giết rải rác khắp đồng ruộng. Khi tàn quân trở về trại, các kỳ lão Ít-ra-en nói rằng: “Tại sao hôm nay Thiên Chúa sát hại chúng ta trước mặt quân Phi-li-tinh? Chúng ta hãy đem hòm bia Thiên Chúa từ Si-lô đến giữa chúng ta, để cứu chúng ta khỏi tay quân thù”.\rRồi dân chúng phái người đến Si-lô đem hòm bia Thiên Chúa các đạo binh ngự trên các vệ binh thần (tới). Hai con Hê-li là Khóp-ni và Pin-khát cùng đi theo hòm bia Thiên Chúa. Và khi hòm bia Thiên Chúa đến trại, toàn dân Ít-ra-en lớn tiếng hoan hô vang trời dậy đất. Quân Phi-li-tinh nghe tiếng hoan hô, liền hỏi nhau rằng: “Tại sao trong trại quân Do-thái có tiếng hò la vang dậy?” Khi biết là hòm bia Thiên Chúa đã đến giữa trại, quân Phi-li-tinh sợ hãi và nói: “Thiên Chúa đã ngự đến trại quân địch”. Rồi chúng kêu than rằng: “Vô phúc cho chúng ta, mấy bữa nay đâu có tiếng hò la như vậy. Thật vô phúc cho chúng ta. Ai sẽ cứu chúng ta thoát khởi tay những vị thần minh cao siêu đó? Ðây là những thần minh đã giáng biết bao tai hoạ trên những người Ai-cập nơi hoang địa. Hỡi người Phi-li-tinh, hãy can đảm và hiên ngang, đừng chịu làm nô lệ dân Do-thái như chúng đã làm nô lệ chúng ta. Hãy can đảm mà chiến đấu”. Vậy người Phi-li-tinh giao chiến, và dân Ít-ra-en bị bại trận, và mạnh ai nấy chạy về trại mình. Và thật là một đại hoạ, bên Israel có đến ba mươi ngàn bộ binh tử trận. Hòm bia Thiên Chúa cũng bị chiếm đoạt. Cả hai con Hê-li là Khóp-ni và Pin-khát cũng tử trận.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 43, 10-11. 14-15. 24-25","response":"Ðáp: Lạy Chúa, xin cứu chúng con theo lòng từ bi của Chúa","verses":["Xướng: Nay Chúa đã xua đuổi và để chúng con đầy nhuốc hổ, Chúa không xuất trận với quân đội chúng con. Chúa đã bắt chúng con phải tháo lui trước quân thù, và những kẻ thù ghét chúng con tha hồ cướp của.","Xướng: Nay Chúa đã xua đuổi và để chúng con đầy nhuốc hổ, Chúa không xuất báng chê cười. Bị các quốc gia tha hồ chế nhạo, và bị các dân tộc trông thấy lắc đầu.","Xướng: Nay Chúa đã xua đuổi và để chúng con đầy nhuốc hổ, Chúa không xuất xua đuổi chúng con muôn đời. Sao Chúa lại ẩn giấu thiên nhan, Chúa quên lãng cảnh chúng con chịu thống khổ và áp bức?"]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 1, 40-45","info":"“Bệnh cùi biến mất và người ấy được sạch”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, có một người bệnh cùi đến van xin Chúa Giê-su và quỳ xuống thưa Người rằng: “Nếu Ngài muốn, Ngài có thể khiến tôi nên sạch”. Ðộng lòng thương, Chúa Giê-su giơ tay đặt trên người ấy và nói: “Ta muốn, anh hãy khỏi bệnh”. Tức thì bệnh cùi biến mất và người ấy được sạch. Nhưng Người nghiêm nghị bảo anh đi ngay và dặn rằng: “Anh hãy ý tứ đừng nói gì cho ai biết, một hãy đi trình diện cùng trưởng tế và dâng của lễ theo luật Mô-sê, để minh chứng mình đã được khỏi bệnh”. Nhưng đi khỏi, người ấy liền cao rao và loan truyền tin đó, nên Chúa Giê-su không thể công khai vào thành nào được. Người dừng lại ở ngoài thành, trong những nơi vắng vẻ, và người ta từ khắp nơi tuôn đến cùng Người.","end":"Ðó là lời Chúa"}},
+        "5015": {"firstReading":{"excerpt":"(Năm II) 1 Sm 8,4-7.10-22a","info":"“Các ngươi sẽ ca thán vì nhà vua, nhưng Chúa sẽ không nhậm lời các ngươi, vì các ngươi đã xin ban cho các ngươi một nhà vua”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, tất cả các kỳ lão Ít-ra-en tập họp lại và đến cùng Sa-mu-en ở Ram-tha, và nói với người rằng: “Nay ông đã già rồi và con cái ông không đi trong đường lối của ông; vậy ông hãy đặt lên cho chúng tôi một nhà vua, để xét xử chúng tôi, như tất cả các dân tộc khác”.\rLời ấy làm cho Sa-mu-en phật lòng, vì họ đã nói: “Ông hãy cho chúng tôi một nhà vua, để xét xử chúng tôi”. Samuel cầu nguyện cùng Chúa. Và Chúa phán cùng ông rằng: “Ngươi cứ nghe theo dân trong những gì họ sẽ nói với ngươi, vì không phải họ khinh bỉ ngươi, mà là khinh bỉ Ta, để Ta không còn cai trị họ nữa”.\rVậy Sa-mu-en đã nói tất cả những lời Chúa cho dân nghe khi họ xin một nhà vua. Người nói: “Ðây là quyền bính của vua sẽ cai trị các ngươi: Ông sẽ bắt con trai các ngươi xung vào đoàn chiến xa và đoàn kỵ binh, và họ sẽ chạy trước xa giá của ông. Ông cắt đặt người thì chỉ huy một ngàn, người thì chỉ huy năm mươi binh lính, kẻ thì cày ruộng gặt lúa, người thì chế tạo quân cụ và chiến xa. Còn con gái các ngươi, ông sẽ bắt làm thợ sản xuất dầu thơm, nấu ăn và làm bánh. Còn đồng ruộng các ngươi, vườn nho, vườn ô liu tốt nhất của các ngươi, ông sẽ tịch thu và ban cho các đầy tớ của ông. Ông sẽ đánh thuế một phần mười vào mùa màng và vườn nho các ngươi, để nuôi các vị thái giám và đầy tớ của ông. Ông sẽ bắt tôi tớ trai gái, các thanh niên cường tráng và cả lừa của các ngươi mà xung vào công việc của ông. Ông sẽ đánh thuế một phần mười vào đoàn vật của các ngươi, và chính các ngươi sẽ trở thành nô lệ của ông. Trong ngày đó, các ngươi sẽ ca thán vì nhà vua mà các ngươi tuyển chọn, nhưng Chúa sẽ không nhậm lời các ngươi, vì các ngươi đã xin ban cho các ngươi một nhà vua!”\rNhưng dân không muốn nghe lời Sa-mu-en, và nói với người rằng: “Không, chúng tôi phải có vua, chúng tôi phải giống như mọi dân tộc khác; nhà vua sẽ xét xử chúng tôi, sẽ đi trước chúng tôi, và sẽ đánh giặc cho chúng tôi”. Sa-mu-en nghe tất cả những lời dân nói, và thưa lại cùng Chúa. Nhưng Chúa nói cùng Sa-mu-en rằng: “Ngươi cứ nghe họ và thiết lập cho họ một nhà vua”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 16-17. 18-19","response":"Ðáp: Tôi sẽ ca ngợi tình thương của Chúa tới muôn đời","verses":["Xướng: Phúc thay dân tộc biết hân hoan, lạy Chúa, họ tiến thân trong ánh sáng nhan Ngài. Họ luôn luôn mừng rỡ vì danh Chúa, và tự hào vì đức công minh Ngài.","Xướng: Vì Chúa là vinh quang, quyền năng của họ, nhờ ân huệ Chúa, uy quyền của chúng tôi được suy tôn. Bởi chưng khiên thuẫn chúng tôi là của Chúa, và vua chúng tôi thuộc về Ðấng Thánh của Ít-ra-en."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 2, 1-12","info":"“Con Người có quyền tha tội dưới đất”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Sau ít ngày, Chúa Giê-su lại trở về Ca-phác-na-um; nghe tin Người đang ở trong nhà, nhiều người tuôn đến đông đảo, đến nỗi ngoài cửa cũng không còn chỗ đứng, và Người giảng dạy họ. Người ta mang đến cho Người một kẻ bất toại do bốn người khiêng. Vì dân chúng quá đông, không thể khiêng đến gần Người được, nên họ dỡ mái nhà trên chỗ Người ngồi một lỗ to, rồi thòng chiếc chõng với người bất toại xuống. Thấy lòng tin của họ, Chúa Giê-su nói với người bất toại rằng: “Hỡi con, tội lỗi con được tha”. Lúc ấy, có một ít luật sĩ ngồi đó, họ thầm nghĩ rằng: “Sao ông này lại nói thế? Ông nói phạm thượng. Ai có quyền tha tội, nếu không phải là một mình Thiên Chúa”. Chúa Giê-su biết tâm trí họ nghĩ như vậy, liền nói với họ: “Tại sao các ông nghĩ như thế? Nói với người bất toại này: “Tội lỗi con được tha” hay nói: “Hãy chỗi dậy vác chõng mà đi”, đàng nào dễ hơn? Nhưng (nói thế là) để các ông biết Con Người có quyền tha tội dưới đất”. – Người nói với kẻ bất toại: “Ta truyền cho con hãy chỗi dậy, vác chõng mà về nhà”. Lập tức người ấy đứng dậy, vác chõng ra đi trước mặt mọi người, khiến ai nấy sửng sốt và ngợi khen Thiên Chúa rằng: “Chúng tôi chưa từng thấy như thế bao giờ”.","end":"Ðó là lời Chúa"}},
+        "5016": {"firstReading":{"excerpt":"(Năm II) Sm 9, 1-4. 17-19; 10, 1a","info":"“Này là người mà Chúa nói đến. Sao-lê sẽ cai trị dân Người”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Lúc bấy giờ có một người thuộc dòng dõi Ben-gia-min tên là Cis, con trai của A-bi-en, Abien con ông Sêror, Sêror con ông Bêcora, Bêcora con ông Aphia, Aphia con một người dòng dõi Ben-gia-min. Cis là một người cường tráng. Ông có một con trai tên là Sao-lê rất đẹp trai và tốt lành, không một con cái Israel nào xinh đẹp bằng chàng và anh ta cao hơn mọi người từ vai trở lên.\rVậy ông Cis, cha của Sao-lê, lạc mất mấy con lừa cái, nên ông bảo con ông là Saolê rằng: “Con hãy đem một đứa đầy tớ theo con, và đi tìm mấy con lừa”. Họ đi khắp miền núi Ép-ra-im, sang vùng Salisa mà không tìm thấy, họ liền sang vùng Salim, cũng không tìm thấy, đoạn qua vùng Giêmin, cũng chẳng thấy.\rKhi Sa-mu-en vừa thấy Sao-lê, thì Chúa phán cùng ông rằng: “Này là người Ta đã nói với ngươi, chính người này sẽ cai trị dân Ta”. Sao-lê đến gần Sa-mu-en đang đứng ở giữa cửa và nói rằng: “Tôi xin ông làm ơn chỉ giùm nhà của vị tiên tri ở đâu?” Sa-mu-en trả lời Sao-lê rằng: “Chính tôi là vị tiên tri đây; xin mời anh đi trước tôi lên lầu, để hôm nay các anh sẽ dùng bữa với tôi, rồi ngày mai tôi sẽ cho anh về. Tất cả những gì anh đang có trong lòng, tôi sẽ chỉ bảo cho anh”.\rSa-mu-en lấy bình dầu đổ trên đầu Sao-lê, rồi hôn anh và nói rằng: “Ðây Thiên Chúa xức dầu phong anh làm vua thống trị cơ nghiệp của Người, và anh sẽ cứu dân Người thoát khỏi kẻ thù ở chung quanh”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 20, 2-3. 4-5. 6-7","response":"Ðáp: Lạy Chúa, do quyền năng Chúa mà vua vui mừng","verses":["Xướng: Lạy Chúa, do quyền năng Chúa mà vua vui mừng, do ơn Chúa phù trợ, vua bao xiết hân hoan! Chúa đã ban cho sự lòng vua ao ước, và điều môi miệng vua xin, Chúa chẳng chối từ.","Xướng: Chúa đã tiên liệu cho vua được phước lộc, may mắn, đã đội triều thiên vàng ròng trên đầu vua. Vua xin Chúa cho sống lâu, thì Chúa đã ban cho một chuỗi ngày dài tới muôn thuở.","Xướng: Nhờ Chúa giúp mà vua được vinh quang cao cả, Chúa khoác lên người vua, oai nghiêm với huy hoàng. Chúa đã khiến vua nên mục tiêu chúc phúc tới muôn đời, Chúa đã cho vua được hân hoan mừng rỡ trước thiên nhan. – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 2, 13-17","info":"“Ta không đến để kêu gọi những người công chính, mà kêu gọi những người tội lỗi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy Chúa Giê-su đi dọc theo bờ biển, toàn dân đến cùng Người và Người giảng dạy họ. Khi vừa đi qua, Người thấy ông Lê-vi con của An-phê, đang ngồi nơi bàn thu thuế. Người bảo ông: “Hãy theo Ta”. Ông liền đứng dậy theo Người. Và xảy ra là khi Người dùng bữa tại nhà ông, nhiều người thu thuế và tội lỗi cùng đồng bàn với Chúa Giê-su và các môn đệ của Người, vì đã có nhiều kẻ theo Người. Những luật sĩ và biệt phái thấy Người ngồi ăn uống với những người thu thuế và tội lỗi, liền nói với các môn đệ Người rằng: “Tại sao thầy các ông lại ăn uống với những người thu thuế và tội lỗi?” Nghe vậy, Chúa Giê-su bảo họ: “Những người khoẻ mạnh không cần gì đến thầy thuốc, nhưng là những người đau yếu. Ta không đến để kêu gọi những người công chính, mà kêu gọi những người tội lỗi”.","end":"Ðó là lời Chúa"}},
+        "5021": {"firstReading":{"excerpt":"(Năm II) 1 Sm 15, 16-23","info":"“Vâng lời thì tốt hơn của lễ. Chúa truất phế không cho ông làm vua nữa”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, Sa-mu-en nói cùng Sao-lê rằng: “Thôi! Tôi sẽ tuyên bố cho ông những điều Thiên Chúa đã nói với tôi trong đêm qua”. Và Sao-lê đáp: “Ngài cứ nói”. Sa-mu-en liền nói: “Khi ông tự thấy ông còn bé nhỏ, há ông đã chẳng được đặt làm thủ lãnh các chi họ Ít-ra-en sao? Và Thiên Chúa đã chẳng xức dầu phong ông làm vua Ít-ra-en sao? Chúa đã sai ông lên đường và nói: “Hãy đi giết quân A-ma-lếch tội lỗi, và hãy giao chiến với chúng cho đến khi tận diệt chúng”. Tại sao ông không nghe lời Chúa, mà lại chạy theo chiến lợi phẩm và làm điều tội lỗi trước mặt Chúa như vậy?” Sao-lê nói với Sa-mu-en: “Vâng, tôi đã nghe lời Chúa, đã đi trên đường Chúa sai tôi, đã bắt Aga vua A-ma-lếch, và tàn sát dân A-ma-lếch. Nhưng trong các chiến lợi phẩm, dân chúng đã lấy chiên bò, những vật nhất hạng họ cướp được để tế lễ Chúa là Thiên Chúa của họ tại Galgalê”.\rSa-mu-en nói: “Này Chúa ưa thích của lễ toàn thiêu và hy lễ hơn sự vâng lời Chúa ư? Vì vâng lời thì tốt hơn của lễ, và tuân lệnh thì cao đẹp hơn dâng mỡ cừu; vì phản bội thì giống như tội tà thuật, còn ngoan cố thì giống như tội thờ bụt thần. Vậy bởi ông khinh bỉ lời Chúa, nên Chúa truất phế không cho ông làm vua nữa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 8-9. 16bc-17. 21 và 23.","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ","verses":["Xướng: Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn. Ta không nhận tự nhà ngươi một con bò non, cũng không nhận tự đoàn chiên ngươi những con dê đực.","Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta? Ngươi là kẻ không ưa lời giáo huấn và ném bỏ lời Ta lại sau lưng?","Xướng: Ngươi làm thế, mà Ta đành yên lặng? Ngươi đã tưởng rằng Ta giống như ngươi? Ta sẽ bắt lỗi, sẽ phơi bày trước mặt ngươi tất cả. Ai hiến dâng lời khen ngợi, người đó trọng kính Ta; ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 2, 18-22","info":"“Tân lang còn ở với họ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, môn đồ của Gio-an và các người biệt phái ăn chay, họ đến nói với Chúa Giê-su rằng: “Tại sao môn đồ của Gio-an và các người biệt phái ăn chay, còn môn đồ Ngài lại không ăn chay?” Chúa Giê-su nói với họ: “Các khách dự tiệc cưới có thể ăn chay khi tân lang còn ở với họ không? Bao lâu tân lang còn ở với họ, thì họ không thể ăn chay được. Nhưng sẽ đến ngày tân lang bị đem đi, bấy giờ họ sẽ ăn chay. Không ai lấy vải mới mà vá áo cũ, chẳng vậy, miếng vải vá sẽ rút lại mà kéo áo cũ, và chỗ rách lại tệ hơn. Cũng không ai đổ rượu mới vào bầu da cũ, chẳng vậy, rượu sẽ làm vỡ bầu da, và rượu đổ, bầu da hư. Nhưng rượu mới phải để trong bầu da mới”.","end":"Ðó là lời Chúa"}},
+        "5022": {"firstReading":{"excerpt":"(Năm II) 1 Sm 16, 1-13","info":"“Sa-mu-en xức dầu cho Ða-vít trước mặt các anh em ngài; và Thánh Thần ngự xuống trên ngài”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, Chúa phán cùng Sa-mu-en rằng: “Ta đã loại bỏ Sao-lê không cho cai trị Ít-ra-en nữa, thế mà ngươi còn thương khóc nó đến bao giờ? Ngươi hãy đổ dầu cho đầy bình và lên đường; Ta sai ngươi đến nhà I-sai dân thành Bê-lem. Vì Ta chọn một người con của ông ấy lên làm vua”. Sa-mu-en thưa: “Làm sao mà đi được? Vì nếu Sao-lê hay biết việc đó, ông sẽ giết con”. Chúa nói: “Ngươi hãy tự tay bắt một con bê trong đàn, và nói: ‘Tôi đến để dâng lễ tế lên cho Chúa’. Ngươi sẽ mời Isai đến để dự lễ tế, Ta sẽ tỏ cho ngươi biết việc phải làm, và sẽ chỉ cho ngươi biết phải xức dầu cho ai?”\rVậy Sa-mu-en làm như lời Chúa dạy và đi đến Bê-lem. Các vị kỳ lão trong thành bỡ ngỡ chạy đến Sa-mu-en mà nói rằng: “Ông đem bình an đến chăng?” Ông đáp: “Phải, bình an! Tôi đến để dâng lễ tế cho Chúa. Các ông giữ mình thanh sạch và cùng tôi đến dâng của lễ”. Vậy ông làm cho I-sai và con cái ông ấy được thanh sạch và mời họ đến dâng lễ tế. Khi (họ) vào nhà, Sa-mu-en gặp ngay Ê-li-áp và nói: “Có phải người xức dầu của Chúa đang ở trước mặt Chúa đây không?” Và Chúa phán cùng Sa-mu-en: “Ðừng nhìn xem diện mạo, vóc cao, vì Ta đã loại nó rồi; Ta không xem xét theo kiểu con người, vì chưng con người nhìn xem bên ngoài, còn Thiên Chúa thì nhìn xem tâm hồn”. I-sai gọi A-bi-na-đáp đến và dẫn đến trước mặt Sa-mu-en. Sa-mu-en nói: “Cũng không phải Chúa chọn người này”. I-sai cho dẫn Sam-ma đến. Sa-mu-en lại nói: “Nhưng Chúa cũng không chọn người này”. I-sai lần lượt đem bảy đứa con mình ra trình diện với Sa-mu-en. Sa-mu-en nói với I-sai: “Chúa không chọn ai trong những người này”. Sa-mu-en nói tiếp: “Tất cả con ông có bấy nhiêu đó phải không?” I-sai đáp: “Còn một đứa út nữa, nó đi chăn chiên”. Sa-mu-en nói với I-sai: “Ông hãy sai người đi gọi nó về, vì chúng ta không ngồi vào bàn ăn trước khi nó về”. I-sai sai người đi tìm đứa con út. Ðứa út này có mái tóc hoe, có đôi mắt xinh và gương mặt đẹp. Chúa phán: “Ngươi hãy chỗi dậy, xức dầu lên nó, vì chính nó đó”. Sa-mu-en lấy bình dầu ra, xức lên nó trước mặt các anh em, và Thánh Thần Chúa ngự trong Ða-vít từ ngày đó trở đi. Còn Sa-mu-en đứng dậy trở về Ra-ma.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 20. 21-22. 27-28","response":"Ðáp: Ta đã gặp Ðavít là tôi tớ của Ta","verses":["Xướng: Xưa trong cuộc thị kiến, Chúa đã phán cùng bầy tôi Chúa: “Ta đội mão triều thiên cho vị anh hùng, Ta cất nhắc người được kén chọn tự trong dân.","Xướng: Ta đã gặp Ða-vít là tôi tớ của Ta. Ta đã xức dầu thánh của Ta cho người, để tay Ta bang trợ người luôn mãi, và cánh tay Ta củng cố thân danh người.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha tôi, là Thiên Chúa và Tảng Ðá cứu độ của tôi”. Và Ta sẽ đặt người làm trưởng tử, cao sang hơn các vua chúa ở trần gian."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mc 2, 23-28","info":"“Ngày Sa-bát làm ra vì loài người, chứ không phải loài người vì ngày Sa-bát”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Vào một ngày Sa-bát, Chúa Giê-su đi qua đồng lúa, môn đệ Người vừa đi vừa bứt lúa. Tức thì những người biệt phái thưa Người rằng: “Kìa Thầy xem. Tại sao ngày Sa-bát người ta làm điều không được phép như vậy?” Người trả lời rằng: “Các ông chưa bao giờ đọc thấy điều mà Ða-vít đã làm khi ngài và các cận vệ phải túng cực và bị đói ư? Người đã vào nhà Chúa thời thượng tế A-bi-a-ta thế nào, và đã ăn bánh dâng trên bàn thờ mà chỉ mình thượng tế được ăn, và đã cho cả các cận vệ cùng ăn thế nào?” Và Người bảo họ rằng: “Ngày Sa-bát làm ra vì loài người, chứ không phải loài người vì ngày Sa-bát; cho nên Con Người cũng làm chủ cả ngày Sa-bát”.","end":"Ðó là lời Chúa"}},
+        "5023": {"firstReading":{"excerpt":"(Năm II) 1 Sm 17, 32-33. 37. 40-51","info":"“Ðavít đã dùng dây ném đá và đá mà thắng tên Phi-li-tinh”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, khi người ta dẫn Ða-vít đến trước Sao-lê, thì Ða-vít nói với Sao-lê rằng: “Ðừng ai lo sợ gì cả. Tôi đây, tôi tớ của bệ hạ, tôi sẽ ra chiến đấu với tên Phi-li-tinh”. Sao-lê nói cùng Ða-vít rằng: “Ngươi không thể chống cự và chiến đấu với tên Phi-li-tinh đó đâu, vì ngươi còn bé nhỏ, mà anh ta là một chiến sĩ từ lúc còn niên thiếu”.\rÐa-vít liền đáp: “Chúa đã từng cứu tôi thoát khỏi nanh vuốt sư tử và gấu, Người sẽ giải thoát tôi khỏi tay tên Phi-li-tinh đó”. Sao-lê mới nói với Ða-vít: “Ngươi hãy đi và Chúa ở cùng ngươi”.\rÐa-vít lấy cây gậy mà chàng quen cầm trong tay. Chàng lựa năm viên đá bóng láng dưới khe nước, bỏ vào bị chăn chiên mà chàng thường đeo bên mình.\rTay chàng cầm trành ném đá ra ứng chiến với tên Phi-li-tinh. Tên Phi-li-tinh có vệ sĩ cầm khí giới đi trước, tiến lại gần Ða-vít. Khi tên Phi-li-tinh thấy Ða-vít, thì khinh bỉ chàng, vì chàng là một thanh niên hồng hào đẹp trai. Tên Phi-li-tinh nói với Ða-vít: “Tao có phải là chó đâu mà mày cầm gậy đến với tao?” Rồi tên Phi-li-tinh nhân danh các thần của y mà nguyền rủa Ða-vít. Anh ta nói với Ða-vít: “Mày hãy lại đây, tao sẽ phân thây mày cho chim trời và thú đồng ăn thịt”.\rÐa-vít đáp lại: “Còn mi, mi cầm gươm, giáo, lao mà đến với ta, thì ta đến với mi nhân danh Chúa các đạo binh, Thiên Chúa các đoàn quân Ít-ra-en mà hôm nay mi đã nhục mạ. Chúa sẽ trao mi vào tay ta, ta sẽ đánh và chặt đầu mi, và hôm nay ta sẽ ném thây quân sĩ Phi-li-tinh cho chim trời và thú đồng, để khắp hoàn cầu biết rằng Ít-ra-en có một Thiên Chúa, và toàn thể cộng đồng này nhận biết rằng: “Chúa không dùng gươm giáo mà giải phóng, vì Người là chủ trận chiến, Người sẽ trao các ngươi vào tay chúng ta”.\rVậy tên Phi-li-tinh vùng lên, tiến lại gần Ða-vít, và Ða-vít hối hả chạy đến nghinh chiến với tên Phi-li-tinh. Ða-vít thò tay vào bị, lấy viên đá, rồi dùng dây ném đá mà phóng vào trán tên Phi-li-tinh, viên đá trúng lủng trán hắn, và hắn liền té sấp xuống đất. Và Ða-vít đã dùng dây ném đá và đá mà chiến thắng và hạ sát tên Phi-li-tinh. Nhưng vì Ða-vít không có sẵn gươm, nên cậu chạy lại đứng trên mình tên Phi-li-tinh, lấy gươm của hắn, rút ra khỏi vỏ và chặt đầu hắn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 143, 1. 2. 9-10","response":"Ðáp: Ôi Ðá Tảng của con, chúc tụng Chúa!","verses":["Xướng: Ôi Ðá Tảng của con, chúc tụng Chúa, là Ðấng rèn luyện cho tay con biết đấu tranh, cho các ngón tay con thiện nghề chinh chiến. – Ðáp.","Xướng: Chúa là Tình thương và là chiến luỹ, là Ðấng phù trợ và giải phóng con. Chúa là khiên thuẫn, là chỗ con nương náu, Ngài bắt chư dân phải khuất phục con.","Xướng: Ôi Thiên Chúa, con sẽ hát mừng Ngài bài ca mới, với cây đàn mười dây, con sẽ ca mừng Ngài, vì Ngài đã ban cho các vua chiến thắng, đã giải phóng Ða-vít là tôi tớ của Ngài."]},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"alleluia! – Lạy Chúa, lời của Chúa là thần trí và là sự sống. Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 3, 1-6","info":"“Trong ngày Sa-bát được cứu sống hay là giết chết?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su lại vào hội đường và ở đó có một người khô bại một tay. Người ta để ý quan sát xem Chúa có chữa bệnh trong ngày Sa-bát không, để tố cáo Người. Chúa bảo người có tay khô bại rằng: “Ngươi hãy đứng ra giữa đây”. Rồi Người bảo họ: “Trong ngày Sa-bát được làm sự lành hay sự dữ? Ðược cứu sống hay là giết chết?” Nhưng họ thinh lặng. Bấy giờ Người thịnh nộ đưa mắt nhìn họ và buồn phiền vì lòng họ chai đá, Người bảo bệnh nhân rằng: “Hãy giơ tay ra”. Người đó giơ tay ra và tay anh ta được lành. Lập tức, những người biệt phái đi ra bàn tính với những kẻ thuộc phái Hê-rô-đê chống đối Người và tìm cách hại Người.","end":"Ðó là lời Chúa"}},
+        "5024": {"firstReading":{"excerpt":"(năm II) 1 Sm 18, 6-9; 19, 1-7","info":"“Thân phụ tôi là Sao-lê định giết anh”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, sau khi hạ sát tên Phi-li-tinh, Ða-vít trở về, các phụ nữ từ mọi thành phố Ít-ra-en đều tuôn ra ca hát nhảy múa với đàn địch trống phách, vui vẻ đón vua Sao-lê. Các phụ nữ nhảy múa xướng hoạ rằng: “Sao-lê giết một ngàn, và Ða-vít giết mười ngàn”. Sao-lê bực tức lắm, vì lời ca ấy làm phật lòng ông, ông nói: “Họ tặng Ða-vít mười ngàn, còn Ta chỉ có một ngàn, như vậy y chỉ còn thiếu có ngai vàng”. Từ ngày đó trở đi, Sao-lê nhìn Ða-vít với vẻ mặt căm tức.\rSao-lê bàn với con ông là Giô-na-than và tất cả những cận thần của ông để sát hại Ða-vít. Nhưng Giô-na-than con của Sao-lê rất thương mến Ða-vít, nên tiết lộ cho Ða-vít rằng: “Thân phụ tôi là Sao-lê tìm kế giết anh đấy”. Vì thế, tôi xin anh sáng mai nên thận trọng và tìm nơi kín đáo mà ẩn mình. Tôi sẽ ra đứng gần cha tôi ngoài đồng nơi anh ẩn trốn, tôi sẽ nói chuyện anh với cha tôi, tôi thấy thế nào, rồi sẽ báo cho anh biết”.\rVậy Giô-na-than khen Ða-vít với cha ông là Sao-lê, ông nói: “Tâu phụ vương, xin chớ hãm hại tôi tớ của phụ vương là Ða-vít, vì anh không có lỗi gì đến phụ vương, và anh đã lập nhiều công trạng cho phụ vương: Anh đã liều mạng sống và hạ sát nhiều tên Phi-li-tinh; Chúa đã dùng anh mà giải thoát toàn dân Ít-ra-en. Phụ vương đã mục kích và đã hân hoan, vậy tại sao phụ vương toan đổ máu người vô tội, khi định giết Ða-vít là kẻ không có lỗi gì?” Sao-lê nghe Giô-na-than nói như vậy thì nguôi giận mà thề rằng: “Nhân danh Thiên Chúa hằng sống, nó sẽ không bị giết”. Giô-na-than gọi Ða-vít và thuật lại cho anh nghe tất cả các lời ấy, rồi dẫn Ða-vít đến trước Sao-lê, và anh hầu cận Sao-lê như trước.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 55, 2-3. 9-10ab. 10c-11. 12-13","response":"Ðáp: Con tin cậy vào Thiên Chúa, con không kinh hãi","verses":["Xướng: Ôi Thiên Chúa, xin thương con, vì người ta chà đạp con, người ta luôn luôn đấu tranh và áp bức con. Những kẻ thù ghét con chà đạp con luôn mọi lúc, vì có nhiều người chiến đấu phản hại con.","Xướng: Con đường lưu vong của con, Ngài đã biết, lệ sầu của con đã được chứa trong bầu da của Ngài, chúng há chẳng được ghi trong sổ sách của Ngài ư? Hễ bao giờ con kêu cầu Chúa, lúc đó quân thù con sẽ tháo lui.","Xướng: Con biết chắc điều này là Thiên Chúa phù trợ con. Nhờ ơn Thiên Chúa là Ðấng mà con ca tụng lời hứa, con tin cậy vào Thiên Chúa, con không kinh hãi, con người phàm kia làm chi hại được con.","Xướng: Ôi Thiên Chúa, con mắc nợ những điều con khấn cùng Ngài, con sẽ tiến Ngài lễ vật bằng lời ca tụng. Vì Ngài đã cứu mạng con thoát khỏi tử thần, và cứu chân con khỏi quỵ ngã, để con được tiến thân trước nhan Thiên Chúa, trong ánh thiều quang của cõi nhân sinh."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mc 3, 7-12","info":"“Các thần ô uế vừa thấy Người, liền sụp lạy và kêu lên rằng: “Ngài là Con Thiên Chúa”, nhưng Người nghiêm cấm chúng không được tiết lộ gì về Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su cùng các môn đệ lui về bờ biển, đám đông từ Ga-li-lê-a theo Người, và từ Giu-đê-a, Giê-ru-sa-lem, I-đu-mê, bên kia sông Gio-đan, miền Ty-rô và Si-đôn, nhiều kẻ đến cùng Người, khi nghe biết tất cả những việc Người đã làm. Vì đông dân chúng, nên Người bảo các môn đệ liệu cho Người một chiếc thuyền, kẻo họ chen lấn Người. Vì chưng, Người đã chữa lành nhiều bệnh nhân, nên bất cứ ai mắc bệnh tật gì đều đến gần để động đến Người. Và những thần ô uế vừa thấy Người, liền sụp lạy và kêu lên rằng: “Ngài là Con Thiên Chúa”, nhưng Người nghiêm cấm chúng không được tiết lộ gì về Người.","end":"Ðó là lời Chúa"}},
+        "5025": {"firstReading":{"excerpt":"(Năm II) 1 Sm 24, 3-21","info":"“Tôi sẽ không ra tay sát hại người, vì người là Ðấng xức dầu của Chúa”.","title":"Trích sách Sa-mu-en quyển thứ nhất.","content":"Trong những ngày ấy, Sao-lê đem ba ngàn người được tuyển chọn trong toàn dân Ít-ra-en và đi tìm Ða-vít và các người theo ông, cho đến những mỏm đá cao dốc rất hẻo lánh, nơi chỉ có những con dê rừng lui tới. Ông đến các chuồng chiên ở vệ đường. Nơi đây có một cái hang, Sao-lê vào đó đi việc cần. Ða-vít và những người theo ông đang núp phía trong hang.\rCác người đầy tớ nói với Ða-vít rằng: “Ðây là ngày Chúa phán cùng ông: Ta trao thù địch của ngươi cho ngươi, để ngươi đối xử với hắn thế nào tuỳ ý ngươi”. Vậy Ða-vít đứng lên, lén cắt một mảnh chiến bào của Sao-lê. Sau đó Ða-vít hối hận, vì đã cắt áo chiến bào của Sao-lê. Ông nói với các người theo ông rằng: “Xin Chúa thương tôi, đừng để tôi làm việc này cho chủ tôi, đấng Chúa xức dầu, là ra tay sát hại vua, vì vua là đấng xức dầu của Chúa”. Ða-vít ngăm đe những người theo ông không được phép xông vào Sao-lê. Sao-lê đứng lên ra khỏi hang và tiếp tục cuộc hành trình. Ða-vít cũng đứng dậy đi theo Sao-lê ra khỏi hang và gọi giật sau lưng vua rằng: “Tâu đức vua”. Sao-lê nhìn lại đàng sau, Ða-vít sấp mình kính lạy và nói cùng Sao-lê rằng:\r“Tại sao bệ hạ lại nghe những lời người ta đồn thổi rằng: Ða-vít toan làm hại bệ hạ. Ðây hôm nay chính mắt bệ hạ thấy rằng: trong hang, Chúa đã trao bệ hạ vào tay tôi. Tôi đã tưởng giết bệ hạ, nhưng tôi thương hại bệ hạ, vì tôi đã nói: Tôi không ra tay sát hại chủ tôi, vì người là đấng xức dầu của Chúa. Hơn thế nữa, cha ôi, hãy nhìn xem mảnh chiến bào của bệ hạ trong tay tôi, vì khi xén vạt chiến bào của bệ hạ, tôi không muốn ra tay sát hại bệ hạ. Xin bệ hạ hãy nhận biết rằng tay tôi không làm điều ác và bất công, tôi không phạm đến bệ hạ, nhưng bệ hạ cứ âm mưu hãm hại mạng sống tôi. Xin Thiên Chúa xét xử cho bệ hạ và tôi, và xin Chúa báo thù cho tôi. Nhưng tay tôi sẽ không phạm đến thân bệ hạ. Như ngạn ngữ xưa có nói “Ác giả ác báo”, nhưng tay tôi cũng sẽ không phạm đến bệ hạ. Hỡi vua Ít-ra-en, bệ hạ bắt bớ ai? Bệ hạ bắt một con chó chết, một con bọ chét sao? Xin Chúa làm quan án và xét xử cho tôi và bệ hạ, xin Chúa nhìn xem và xét xử vụ này mà giải thoát tôi khỏi tay bệ hạ”.\rÐavít vừa dứt lời, Sao-lê liền nói: “Hỡi Ða-vít con ta, có phải tiếng đó là tiếng của con không?” Sao-lê cất tiếng khóc và nói cùng Ða-vít rằng: “Con công chính hơn cha, con làm ơn cho cha mà cha trả oán cho con. Hôm nay con vạch rõ, con đối xử nhân đạo với cha, vì mặc dầu Chúa đã trao cha vào tay con mà con cũng không giết cha. Nào có ai gặp kẻ thù mà để nó đi yên lành không? Vậy xin Chúa báo đáp lại cho con về ân huệ mà con đã làm cho cha trong ngày hôm nay. Nay cha biết chắc rằng con sẽ làm vua, và con sẽ nắm mãi mãi trong tay con vương quốc Israel”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 56, 2. 3-4. 6 và 11","response":"Ðáp: Nguyện xót thương con, lạy Chúa, nguyện xót thương con.","verses":["Xướng: Nguyện xót thương con, lạy Chúa, nguyện xót thương con, vì linh hồn con tìm đến nương tựa Ngài. Con nương nhờ bóng cánh của Ngài, cho tới khi cơn hoạn nạn qua đi. – Ðáp.","Xướng: Con kêu lên Thiên Chúa Tối Cao, Thiên Chúa thực hiện cho con điều lành. Nguyện Chúa tự trời thi ân và cứu độ con, làm cho những người bách hại con phải nhục nhã, nguyện Chúa tỏ ra ân sủng và lòng trung tín của Ngài. – Ðáp.","Xướng: Lạy Chúa, xin Ngài hiện ra cao cả trên trời, xin tỏ vinh quang Ngài ra trên toàn cõi đất, vì đức từ bi Chúa cao tới cõi trời, và lòng trung tín Ngài chạm ngàn mây."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mc 3, 13-19","info":"“Người gọi những kẻ Người muốn gọi để họ ở cùng Người”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su lên núi và gọi những kẻ Người muốn gọi, và họ đến cùng Người. Người chọn mười hai vị để theo Người, và sai các ông đi giảng và ban cho các ông quyền trừ quỷ. Mười hai vị ấy là: Si-mon mà Người đặt tên là Phê-rô, Gia-cô-bê con ông Giê-bê-đê, và Gio-an là em Gia-cô-bê, (cả hai được Người đặt tên là Bô-a-nê-gê, nghĩa là con của sấm sét), rồi đến An-rê, Phi-líp-phê, Ba-tô-lô-mê-ô, Mát-thêu, Tô-ma, Gia-cô-bê con ông An-phê, Ta-đê-ô, Si-mon nhiệt tâm, và Giu-đa Ít-ca-ri-ô là kẻ nộp Người.","end":"Ðó là lời Chúa"}},
+        "5026": {"firstReading":{"excerpt":"(Năm II) 2 Sm 1, 1-4, 11-12. 19. 23-27","info":"“Cớ sao các anh hùng lại ngã gục trên chiến trường như thế?”","title":"Khởi đầu sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, sau khi thắng quân A-ma-lếch, Ða-vít trở về, và tạm nghỉ hai ngày tại Si-cê-lê. Qua ngày thứ ba, có người từ trại quân của Sao-lê trở về, áo quần rách nát, đầu tóc đầy bụi bặm, anh đến trước mặt Ða-vít sấp mình kính lạy. Ða-vít hỏi anh: “Ngươi từ đâu tới?” Anh ta trả lời: “Tôi trốn từ trại quân Ít-ra-en về”. Ða-vít lại hỏi: “Có chuyện gì xảy ra đó, hãy kể lại cho ta nghe”. Anh ta nói: “Dân chúng chạy trốn khỏi chiến trường, nhiều người trong dân đã bị hạ sát, vua Sao-lê và thái tử Giô-na-than cũng tử trận”.\rÐa-vít liền xé áo mình ra, các người hầu cận của ông cũng làm như thế. Tất cả đều than van khóc lóc và ăn chay cho tới chiều để chịu tang vua Sao-lê, thái tử Giô-na-than, dân Chúa và nhà Ít-ra-en, vì họ ngã gục dưới lưỡi gươm. (Và Ða-vít đã khóc rằng:)\r“Các nhân tài Ít-ra-en đều bị giết trên núi. Cớ sao các anh hùng bị ngã gục như thế?\r“Sao-lê và Giô-na-than đáng yêu đáng quý, khi sống cũng như khi chết, họ không hề lìa nhau. Họ lanh lẹ hơn chim phượng hoàng, và hùng dũng hơn loài sư tử. Hỡi thiếu nữ Ít-ra-en, hãy than khóc Sao-lê đi, người đã mặc cho các cô áo điều sặc sỡ, đã gắn lên y phục các cô những đồ nữ trang bằng vàng.\r“Cớ sao các anh hùng lại ngã gục trên chiến trường như thế?\r“Giô-na-than đã bị giết trên đồi cao. Hỡi anh Giô-na-than, tôi thương tiếc anh. Tôi yêu mến anh, và tình bạn giữa đôi ta cao quý hơn tình yêu phụ nữ.\r“Cớ sao mà các anh hùng lại ngã gục như thế? Cớ sao binh khí lại bị phá huỷ như thế?”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 79, 2-3. 5-7","response":"Ðáp: Lạy Chúa, xin tỏ thiên nhan hiền từ Chúa ra, hầu cho chúng con được ơn cứu sống.","verses":["Xướng: Lạy Ðấng chăn dắt của Israel, xin hãy lắng tai! Chúa là Ðấng chăn dẫn Giu-se như thể bầy chiên. Chúa ngự trên các Vệ Binh Thần, xin hiện ra trong sáng láng, trước mặt con cháu Ép-ra-im, Ben-gia-min và Mơ-na-sê. Xin thức tỉnh quyền năng của Chúa, và ngự tới để cứu độ chúng con.","Xướng: Lạy Chúa thiên binh, Chúa còn thịnh nộ tới bao giờ, bởi vì dân Chúa đang dâng lời khẩn nguyện? Chúa nuôi chúng con bằng cơm bánh trộn giọt châu, và cho chúng con uống bằng nước mắt chảy tràn trề. Chúa biến chúng con thành miếng mồi cho lân bang tranh chấp, và quân thù phỉ báng chúng con."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 3, 20-21","info":"“Những thân nhân của Người nói: Người đã mất trí”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy Chúa Giê-su cùng các môn đệ trở về nhà, và dân chúng đông đảo lại đổ xô tới, đến nỗi Người không dùng bữa được. Những thân nhân của Người hay tin đó, liền đi bắt Người, vì họ nói: “Người đã mất trí”.","end":"Ðó là lời Chúa"}},
+        "5031": {"firstReading":{"excerpt":"(Năm II) 2 Sm 5, 1-7. 10","info":"“Chính ngươi sẽ chăn dắt Ít-ra-en dân Ta”.","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, toàn thể chi tộc Ít-ra-en đến cùng Ða-vít tại Khép-rôn mà nói rằng: “Ðây chúng tôi là cốt nhục của ngài. Nhưng từ trước đến giờ, khi Sao-lê đang làm vua chúng tôi, thì chính ngài đã dẫn dắt Ít-ra-en. Và Chúa đã nói với ngài rằng: “Chính ngươi sẽ chăn dắt Ít-ra-en dân Ta, và sẽ trở nên thủ lãnh Ít-ra-en”. Vậy tất cả các vị kỳ lão Ít-ra-en đều đến tìm nhà vua tại Khép-rôn, và tại đó, vua Ða-vít ký kết với họ một giao ước trước mặt Chúa. Họ liền xức dầu phong Ða-vít làm vua Ít-ra-en. Khi Ða-vít lên làm vua, ngài được ba mươi tuổi, và cai trị được bốn mươi năm. Tại Khép-rôn, ngài cai trị Giu-đa được bảy năm rưỡi. Còn tại Giê-ru-sa-lem, ngài cai trị toàn cõi Ít-ra-en và Giu-đa được ba mươi ba năm.\rNhà vua và tất cả quân sĩ theo ngài kéo đến Giê-ru-sa-lem, đánh đuổi dân cư Giơ-vút. Người ta nói với Ða-vít rằng: “Ông đừng vào đây, bằng không những người mù què sẽ đánh đuổi ông”. Như thế có nghĩa là: “Ða-vít sẽ không vào được nơi này”. Nhưng Ða-vít đã chiếm đóng đồn Si-on làm kinh thành của Ða-vít.\rVà Ðavít vào thành, càng ngày càng trở nên cường thịnh, và Chúa là Thiên Chúa các đạo binh phù hộ nhà vua.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 20. 21-22. 25-26","response":"Ðáp: Thành tín và ân sủng của Ta hằng ở với người","verses":["Xướng: Xưa trong cuộc thị kiến, Chúa đã phán cùng bầy tôi Chúa: “Ta đội mão triều thiên cho vị anh hùng, Ta cất nhắc người được kén chọn tự trong dân. Xướng: Ta đã gặp Ða-vít là tôi tớ của Ta, Ta đã xức dầu thánh của Ta cho người, để tay Ta bang trợ người luôn mãi, và cánh tay Ta củng cố thân danh người.","Xướng: Thành tín và ân sủng của Ta hằng ở với người, và nhân danh Ta, sức mạnh người tăng thêm mãi. Ta đặt tay người trên mặt biển, và tay hữu người, Ta đặt lên sông ngòi."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu thương người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mc 3, 22-30","info":"“Satan phải diệt vong”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, những luật sĩ từ Giê-ru-sa-lem xuống nói rằng: “Ông ấy bị quỷ Bê-en-dê-bun ám”, và nói thêm rằng: “Chính nhờ tướng quỷ mà ông ấy trừ quỷ”. Khi đã gọi họ lại, Chúa Giê-su phán bằng dụ ngôn rằng: “Xa-tan lại trừ Xa-tan làm sao được? Nếu một nước mà tự chia rẽ nhau, thì nước đó tồn tại làm sao được? Vậy nếu Xa-tan dấy lên chống đối với chính mình và tự phân tán, thì nó không thể đứng vững được mà phải diệt vong. Chẳng ai có thể vào nhà một người khoẻ mạnh và cướp của y, nếu không trói được y trước đã, rồi sau mới cướp phá nhà y. Quả thật, Ta bảo các ông hay, mọi tội lỗi và mọi lời phạm thượng của con cái loài người sẽ được tha hết, nhưng kẻ nào nói phạm đến Chúa Thánh Thần, sẽ muôn đời không bao giờ được tha: nó mắc tội muôn đời”. Ðó là vì họ nói “Người bị thần ô uế ám”.","end":"Ðó là lời Chúa"}},
+        "5032": {"firstReading":{"excerpt":"(Năm II) 2 Sm 6, 12b-15, 17-19","info":"“Ða-vít và toàn dân Ít-ra-en hân hoan đi rước hòm bia Thiên Chúa”.","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, Ða-vít hân hoan đi mang hòm bia Thiên Chúa từ nhà Ô-vết Ê-đôm về thành Ða-vít. Vua dẫn theo bảy ca đoàn và đàn bò con làm của lễ. Khi những người mang hòm bia Thiên Chúa đi được sáu bước, thì Ða-vít hiến tế một con bò và một con bê. Ngài tận lực nhảy múa trước Thiên Chúa. Ngài mang khăn vải điều ngang lưng. Ngài và toàn thể nhà Ít-ra-en mang hòm bia Thiên Chúa hân hoan và trong tiếng kèn trống. Họ rước hòm bia Thiên Chúa vào đặt giữa nhà tạm mà Ða-vít đã dựng sẵn. Rồi ngài hiến dâng của lễ toàn thiêu và của lễ bình an; ngài nhân danh Chúa các đạo binh mà chúc lành cho dân chúng, đoạn ngài phân phát cho toàn dân Israel, nam cũng như nữ, mỗi người một ổ bánh mì, một miếng thịt và một chiếc bánh chiên dầu. Và toàn dân giải tán, ai về nhà nấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 7. 8. 9. 10","response":"Ðáp: Vua hiển vinh là ai vậy? Chính Người là Thiên Chúa","verses":["Xướng: Các cửa ơi, hãy ngẩng đầu lên; vươn mình lên, hỡi cửa ngàn thu, để vua hiển vinh Người ngự quá!","Xướng: Nhưng vua hiển vinh là ai vậy? Ðó là Chúa dũng lực hùng anh, đó là Chúa anh hùng của chiến chinh.","Xướng: Các cửa ơi, hãy ngẩng đầu lên, vươn mình lên, hỡi cửa ngàn thu, để vua hiển vinh Người ngự quá.","Xướng: Nhưng vua hiển vinh là ai vậy? Ðó là Chúa đạo thiên binh, chính Người là Hoàng Ðế hiển vinh."]},"alleluia":{"verse":"Ga 15,15b","content":"Alleluia. – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Mc 3, 31-35","info":"“Ai làm theo ý Thiên Chúa, thì người ấy là anh chị em và là mẹ Ta”.","title":"Bài trích Phúc Âm theo Thánh Mác-cô.","content":"Khi ấy, mẹ Chúa Giê-su và anh em Người đến và đứng ở ngoài sai người vào mời Chúa ra.\rBấy giờ có đám đông ngồi chung quanh Người và họ trình với Người rằng: “Kìa mẹ và anh em Thầy ở ngoài kia đang tìm Thầy”.\rNgười trả lời rằng: “Ai là mẹ Ta? Ai là anh em Ta?”\rRồi đưa mắt nhìn những người ngồi vòng quanh, Người nói: “Ðây là mẹ Ta và anh em Ta. Vì ai làm theo ý Thiên Chúa, thì người ấy là anh chị em và là mẹ Ta”.","end":"Ðó là lời Chúa"}},
+        "5033": {"firstReading":{"excerpt":"(Năm II) 2 Sm 7, 4-17","info":"“Ta sẽ cho con của ngươi kế vị, và bảo đảm triều đại ngươi”.","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, Chúa phán cùng Na-than lời này rằng: “Hãy đi và nói với Ða-vít tôi tớ Ta rằng: Chúa phán thế này: Có phải ngươi sẽ xây cất cho Ta một ngôi nhà để ở chăng? Vì từ ngày Ta dẫn dắt con cái Ít-ra-en ra khỏi đất Ai-cập cho đến ngày nay, Ta không ở trong nhà, nhưng Ta di chuyển trong nhà tạm và trong trại. Khắp mọi nơi Ta đi qua với con cái Ít-ra-en, có khi nào Ta nói cùng một trong các chi họ Ít-ra-en mà Ta truyền dạy chăn dắt Ít-ra-en dân Ta rằng: “Tại sao không xây cất cho Ta một ngôi nhà bằng cây hương nam?”\rGiờ đây, ngươi hãy nói cùng Ða-vít tôi tớ Ta rằng: “Chúa các đạo binh phán thế này: Ta đã đem ngươi ra khỏi đồi cỏ lúc ngươi còn theo sau đoàn chiên, để ngươi trở nên thủ lãnh Ít-ra-en dân Ta và Ta đã ở cùng ngươi trong mọi nơi ngươi đi. Ta sẽ tiêu diệt mọi quân thù trước mặt ngươi, và Ta sẽ làm cho danh ngươi nên cao trọng như danh các bậc vĩ nhân trên mặt đất. Ta sẽ đặt để một nơi cho Ít-ra-en dân Ta, và Ta sẽ vun trồng nó tại đó. Nó sẽ ở đó và sẽ không còn bị quấy rối nữa. Con cái sự dữ sẽ không còn đến đàn áp nó như xưa nữa, như ngày Ta thiết lập các vị Thẩm phán trên Ít-ra-en dân Ta. Ta sẽ cho ngươi được bằng yên khỏi mọi quân thù. Và Chúa phán trước cho ngươi biết là Chúa sẽ tạo lập cho ngươi một ngôi nhà. Ðến khi qua đời, ngươi sẽ được an giấc cùng các tổ phụ ngươi. Kế đó Ta sẽ cho con của ngươi kế vị và làm cho vương quốc ngươi vững mạnh. Chính người sẽ xây dựng cho danh Ta một ngôi nhà, và Ta bảo đảm ngôi báu triều đại ngươi tồn tại đến muôn đời. Ta sẽ là Cha người, và người sẽ là con Ta. Nếu người có phạm lỗi, Ta sẽ sửa trị người bằng roi người lớn và bằng tai hoạ con cái loài người. Nhưng Ta sẽ không cất khỏi người lòng từ bi của Ta, như Ta đã xử với Sao-lê, kẻ đã bị Ta khai trừ khỏi mặt Ta. Và nhà của ngươi và triều đại ngươi sẽ vững chắc đến muôn đời trước mặt Ta; ngôi báu ngươi sẽ vững bền mãi mãi!” Na-than đã thuật lại cho Ða-vít tất cả những lời và thị kiến này.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 4-5. 27-28. 29-30","response":"Ðáp: Ðời đời Ta sẽ dành cho người lòng sủng ái.","verses":["Xướng: Ta đã ký minh ước cùng người Ta tuyển lựa. Ta đã thề cùng Ða-vít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Chính người sẽ thưa cùng Ta: “Chúa là Cha con, là Thiên Chúa và Ðá Tảng cứu độ của con”. Và Ta sẽ đặt người làm trưởng tử, cao sang hơn các vua chúa ở trần gian.","Xướng: Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì. Ta sẽ gìn giữ miêu duệ người tới muôn đời, và ngai báu người như những ngày của cõi cao xanh."]},"alleluia":{"verse":"1Sam 3,9","content":"Alleluia. – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 4,1-20","info":"“Người gieo hạt đi gieo hạt giống”","title":"Tin mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su bắt đầu giảng dạy ở bờ biển và có đám đông dân chúng tụ lại gần Người, nên Người xuống ngồi trong một chiếc thuyền trên mặt biển, tất cả đám đông thì ở trên đất theo dọc bờ biển.\rNgười dùng dụ ngôn mà dạy họ nhiều điều, và khi giảng, Người nói với họ rằng:\r“Các ngươi hãy nghe! Này người gieo hạt đi gieo hạt giống.\rKhi gieo, một phần hạt rơi xuống vệ đường và chim trời đến ăn hết.\rPhần khác rơi trên đất sỏi, nơi không có nhiều đất.\rHạt giống đã mọc lên ngay, vì lớp đất không sâu.\rNhưng khi mặt trời mọc lên, hạt giống bị nắng đốt và vì không rễ, nên bị chết khô.\rMột phần khác rơi vào bụi gai và gai mọc lên làm hạt giống chết mà không sinh hoa trái được.\rPhần hạt khác rơi vào đất tốt, mọc lên, nẩy nở và sinh quả, hạt thì sinh được ba mươi, hạt được sáu mươi, hạt được một trăm”.\rVà Người phán rằng: “Ai có tai nghe thì hãy nghe”.\rKhi Người còn lại một mình, thì mười hai ông là những kẻ luôn ở với Người, hỏi Người về ý nghĩa dụ ngôn, Người liền bảo các ông:\r“Các con được ơn biết mầu nhiệm về nước Thiên Chúa, còn những người khác ở ngoài thì mọi sự được giảng dạy bằng dụ ngôn, vì chúng nhìn mà không thấy, nghe mà không hiểu, kẻo chúng trở lại mà được tha tội”.\rNgười nói với các ông:\r“Các con không hiểu dụ ngôn đó sao? Vậy thì hiểu sao được tất cả những dụ ngôn khác?\rNgười gieo hạt là gieo lời Chúa.\rVệ đường mà lời Chúa được gieo vào, là những kẻ vừa nghe xong, thì Sa-tan đến và cất lấy lời Chúa gieo trong tâm hồn họ.\rVà cũng thế, những hạt giống rơi trên đất sỏi, là những kẻ khi nghe lời Chúa thì đón nhận vui vẻ, nhưng chúng không đâm rễ bên trong và là những người hay thay đổi: sau đó gặp phải cơ cực hay bắt bớ vì lời Chúa, thì họ sa ngã liền.\rLại có những hạt giống rơi trong bụi gai.\rÐây là những kẻ nghe lời Chúa, nhưng những lo lắng trần tục, bóp nghẹt lời Chúa, khiến không thể sinh hoa trái được.\rCòn những hạt giống gieo trong đất tốt: đó là những người nghe lời Chúa, biết giữ lấy và làm sinh lợi, hạt ba mươi, hạt sáu mươi và hạt một trăm”.","end":"Ðó là lời Chúa"}},
+        "5034": {"firstReading":{"excerpt":"(Năm II) 2 Sm 7, 18-19. 24-29","info":"“Lạy Chúa là Thiên Chúa, tôi là ai và gia đình tôi là chi?”","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Sau khi Na-than nói với Ða-vít xong, vua Ða-vít đến ngồi trước Thiên Chúa mà nói rằng: “Lạy Chúa là Thiên Chúa, con là ai và gia đình con là chi mà Chúa dẫn con đến đây? Nhưng lạy Chúa là Thiên Chúa, như thế Chúa còn cho là ít, nên Chúa còn nói đến nhà tôi tớ Chúa trong tương lai lâu dài, vì lạy Chúa, đó là thường tình của loài người.\r“Chúa đã thiết lập dân Ít-ra-en làm dân Chúa đến muôn đời, và lạy Chúa, chính Chúa trở thành Thiên Chúa của họ. Vậy giờ đây, lạy Chúa là Thiên Chúa, xin hãy thực hiện mãi mãi lời Chúa đã nói về tôi tớ và về nhà của nó, và hãy làm như Chúa đã phán, để danh Chúa được ca khen đến muôn đời, và được truyền tụng rằng: ‘Chúa các đạo binh là Thiên Chúa của Ít-ra-en’. Xin cho nhà tôi tớ Chúa được vững chắc trước nhan thánh Chúa. Lạy Chúa các đạo binh, Thiên Chúa của Ít-ra-en, vì Chúa đã mạc khải cho tôi tớ Chúa biết những lời này: ‘Ta sẽ xây dựng cho ngươi một ngôi nhà’, vì thế, tôi tớ Chúa vững tâm thốt lên lời khẩn nguyện trên đây. Vậy giờ đây, lạy Chúa là Thiên Chúa, và lời Chúa thì chân thật, vì Chúa đã tỏ ra cho tôi tớ Chúa những điều hạnh phúc ấy. Giờ đây, xin hãy khởi sự chúc phúc cho nhà tôi tớ Chúa, để nhà tôi tớ Chúa tồn tại trước mặt Chúa đến muôn đời, vì lạy Chúa là Thiên Chúa, Chúa đã phán và xin giáng phúc cho nhà tôi tớ Chúa đến muôn đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 131, 1-2. 3-5. 11. 12. 13-14","response":"Ðáp: Chúa là Thiên Chúa sẽ ban cho Người ngôi báu Ðavít tổ phụ Người (Lc 1, 32a).","verses":["Xướng: Lạy Chúa, để thương Ða-vít, xin Chúa nhớ đến mọi nỗi ưu tư của người: người đã thề như thế nào với Chúa, người đã khấn hứa cùng Ðấng toàn năng nhà Gia-cóp rằng:","Xướng: “Tôi sẽ không vào lều trại nhà tôi, tôi sẽ không bước lên giường nằm, tôi sẽ không nhắm mắt ngủ, không để cho mi mắt tôi được nghỉ an, cho tới khi tôi gặp được nơi ngự điện cho Chúa, gặp được cung lâu cho Ðấng Toàn năng nhà Gia-cóp”.","Xướng: Chúa đã thề hứa cùng Ða-vít một lời hứa quả quyết mà Người sẽ chẳng rút lời, rằng: “Ta sẽ đặt lên ngai báu của ngươi một người con cháu thuộc dòng giống của ngươi”.","Xướng: “Nếu các con ngươi tuân giữ điều ước của Ta và những luật lệ mà Ta ban ra dạy chúng, thì cả con cháu chúng cũng được muôn đời ngồi cai trị trên ngai báu của ngươi”.","Xướng: Bởi chưng Chúa đã kén chọn Si-on, đã thích lựa Si-on làm nơi cư ngụ cho mình. Ngài phán: “Ðây là nơi nghỉ ngơi của Ta tới muôn đời, Ta sẽ cư ngụ nơi đây, vì Ta ưa thích”."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa, và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mc 4, 21-25","info":"“Ðèn đốt lên là để đặt trên giá đèn. Các ngươi đong đấu nào, thì người ta sẽ đong đấu ấy cho các ngươi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng rằng: “Có ai đem đèn sáng đặt trong thùng hay dưới gầm giường chăng? Chẳng phải là để đặt trên giá đèn sao? Vì chẳng có gì giấu kín mà chẳng tố lộ ra và chẳng có gì kín đáo mà không bị đưa ra ánh sáng. Ai có tai để nghe, thì hãy nghe”. Và Người bảo họ rằng: “Hãy coi chừng điều các ngươi nghe thấy. Các ngươi đong bằng đấu nào, thì người ta sẽ đong lại cho các ngươi bằng đấu ấy, và người ta còn thêm nữa. Vì ai có, sẽ được cho thêm; và ai không có, cả cái đang có cũng bị lấy mất”.","end":"Ðó là lời Chúa"}},
+        "5035": {"firstReading":{"excerpt":"(Năm II) 2 Sm 11, 1-4a. 5-10b. 13-17","info":"“Ngươi đã khinh dể Ta và đã cướp vợ Uria làm vợ mình”.","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Khi ấy, sang năm mới, là lúc các vua thường ra trận, thì Ða-vít sai Giô-áp, các tôi tớ của vua và toàn dân Ít-ra-en đi tiêu diệt dân Am-mon và bao vây Ráp-ba. Còn Ða-vít thì ở lại Giê-ru-sa-lem. Khi chiến tranh đang diễn tiến, thì một bữa trưa nọ, Ða-vít ra khỏi giường ngủ, đi bách bộ trên sân thượng nhà vua, liền nhìn thấy một phụ nữ đang tắm trên sân thượng nhà bà. Bà rất xinh đẹp. Vậy vua sai dò hỏi người phụ nữ đó là ai. Người ta thưa đó là bà Bát Se-va, con ông Ê-li-am, vợ U-ri-a người Khết. Ða-vít sai cận vệ đi tìm bà. Khi trở về nhà, bà mang thai, nên sai người báo tin cho Ða-vít mà rằng: “Tôi đã có thai”.\rVậy Ða-vít sai người đến nói với Giô-áp rằng: “Hãy sai tướng U-ri-a người Khết về đây cho trẫm”. Giô-áp sai U-ri-a về gặp Ða-vít, và U-ri-a đến gặp Ða-vít. Ða-vít hỏi thăm tin tức về Giô-áp, quân sĩ, và trận chiến diễn tiến thế nào. Rồi Ða-vít nói cùng U-ri-a: “Ngươi hãy về nhà rửa chân đi”. U-ri-a rời khỏi hoàng cung, và người ta mang cho ông một phần ăn của nhà vua, nhưng U-ri-a cùng các cận vệ nằm ngủ ngay trước cửa nhà vua chứ không về nhà. Người ta đi báo tin cho Ða-vít hay “U-ri-a không đi về nhà”. Ða-vít mời ông ăn uống trước mặt mình và ép uống rượu cho say. Ðến chiều U-ri-a đi ra cùng với các cận vệ ngủ trên chõng, chớ không về nhà. Sáng hôm sau, Ða-vít viết một lá thư gởi cho Giô-áp và sai U-ri-a mang đi. Trong thư, ngài viết như sau: “Hãy đặt U-ri-a vào nơi giao tranh gay cấn nhất, rồi bỏ mặc hắn, để hắn bị đánh cho chết”. Vậy khi Giô-áp bao vây thành, liền cử U-ri-a đến địa điểm mà ông biết có những quân địch mạnh nhất. Quân trong thành kéo ra nghinh chiến với Giô-áp, nhiều quân sĩ của Ða-vít ngã gục, và cả U-ri-a người Khết cũng tử trận.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 6bc-7. 10-11","response":"Ðáp: Lạy Chúa, xin thương xót chúng con, vì chúng con đã phạm tội (c. 3a).","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xóa tội con theo lượng cả đức từ bi. Xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Vì sự lỗi con, chính con đã biết, và tội con ở trước mặt con luôn. Con phạm tội phản nghịch cùng một Chúa.","Xướng: Con thi hành điều ác trước thiên nhan, hầu tỏ ra Chúa công bình khi phê phán. Này coi, con đã chào đời trong ô uế, và trong tội, mẹ đã hoài thai con.","Xướng: Xin cho con cảm thấy vui mừng hoan hỉ, cho xương bị Chúa đập hớn hở reo lên. Xin ngoảnh mặt đi, đừng nhìn tội lỗi, và tẩy xóa mọi điều gian ác của con."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 4, 26-34","info":"“Người kia đã gieo hạt xuống đất, rồi đi ngủ, hạt giống mọc lên thế nào người đó cũng không hay biết”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su phán cùng dân chúng rằng: “Nước Thiên Chúa giống như người kia đã gieo hạt xuống đất: người đó ngủ hay thức, đêm hay ngày, hạt giống cứ đâm mầm và mọc lên thế nào người đó cũng không hay biết nữa. Ðất tự nó làm cây lúa mọc lên: trước hết thành cây, rồi đâm bông, rồi kết hạt. Và khi lúa chín, người ấy liền gặt vì đã đến mùa”.\rNgười còn phán: “Chúng ta sẽ lấy gì mà hình dung nước Thiên Chúa? hay dùng dụ ngôn nào mà so sánh nước đó được? Nước đó giống như hạt cải, khi gieo xuống đất thì nhỏ bé nhất trong tất cả các hạt trên mặt đất. Nhưng khi gieo rồi, nó mọc lên thành cây rau lớn nhất, và đâm những cành to, đến nỗi chim trời có thể tới núp bóng được”. Người dùng nhiều dụ ngôn như thế mà rao giảng lời Chúa cho họ, tuỳ sức họ có thể hiểu được, và Người chỉ nói với họ bằng dụ ngôn, nhưng khi ở riêng với các môn đệ, Người giải thích tất cả cho các ông.","end":"Ðó là lời Chúa"}},
+        "5036": {"firstReading":{"excerpt":"(Năm II) 2 Sm 12, 1-7a, 10-17","info":"“Tôi đã phạm tội đến Chúa”","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, Chúa sai Na-than đến cùng Ða-vít. Ông đến và nói với Ða-vít rằng: “Trong thành kia có hai người, một người giàu và một người nghèo. Người giàu có rất nhiều chiên bò, còn người nghèo thì không có gì, ngoài một con chiên con mà ông đã mua và nuôi dưỡng, nó lớn lên trong nhà ông cùng với con cái ông, cùng ăn một bánh, cùng uống một chén và cùng ngủ một giường với ông; ông kể nó như con gái mình. Có một người khách đến thăm người giàu ấy, ông ta không muốn bắt chiên bò của mình để dọn tiệc đãi khách, nhưng lại bắt con chiên của người nghèo mà dọn tiệc đãi khách”. Ða-vít tức giận người đó lắm, và nói cùng Na-than rằng: “Nhân danh Thiên Chúa hằng sống! Người làm như thế là đáng chết. Nó phải bồi thường gấp bốn lần vì đã hành động bất nhân như thế!”\rNa-than liền nói với Ða-vít: “Ngài chính là người đó. Chúa là Thiên Chúa Ít-ra-en phán rằng: Lưỡi gươm sẽ không bao giờ rời khỏi dòng dõi ngươi cho đến muôn đời, vì ngươi đã khinh dể Ta, đã cướp vợ của U-ri-a người Hê-thê làm vợ mình. Vì thế Chúa phán rằng: Từ gia đình ngươi, Ta sẽ gây nên tai hoạ đổ trên đầu ngươi. Ngay trước mặt ngươi, Ta sẽ đem thê thiếp của ngươi trao cho người khác, nó sẽ ăn ở với chúng ngay dưới ánh sáng mặt trời. Ngươi đã hành động thầm lén, còn Ta, Ta sẽ làm việc đó trước mặt toàn dân Ít-ra-en và giữa thanh thiên bạch nhật”.\rÐa-vít nói cùng Na-than rằng: “Tôi đã phạm tội đến Chúa”. Và Na-than nói cùng Ða-vít rằng: “Chúa cũng đã tha tội cho ngài rồi, ngài sẽ không phải chết. Nhưng vì việc này, ngài làm dịp cho quân thù của Chúa nói phạm thượng, nên đứa con của ngài sẽ chết”. Rồi Na-than ra về.\rVà Chúa giáng hoạ trên đứa con của Ða-vít do vợ của U-ri-a sinh ra, nên nó lâm trọng bệnh. Ða-vít khẩn cầu Chúa cho đứa trẻ, ông ăn chay và lui về phòng nằm dưới đất. Các kỳ lão đến nhà vua và nài xin vua chỗi dậy, nhưng vua không chịu và không dùng bữa với họ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 16-17.","response":"Ðáp: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch.","verses":["Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin ban lại cho con niềm vui ơn cứu độ, với tinh thần quảng đại, Chúa đỡ nâng con. Con sẽ dạy kẻ bất nhân đường nẻo Chúa, và người tội lỗi sẽ trở về với Ngài.","Xướng: Xin cứu gỡ con khỏi đền nợ máu, ôi lạy Chúa là Chúa cứu độ con, lưỡi con sẽ ca ngợi đức công minh Chúa. Lạy Chúa, xin mở môi con, miệng con sẽ loan truyền lời ca khen."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 4, 35-41","info":"“Người là ai mà cả gió lẫn biển cũng đều vâng lệnh Người?”","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Ngày ấy, khi chiều đến, Chúa Giê-su phán cùng các môn đệ rằng: “Chúng ta hãy sang bên kia biển hồ”. Các ông giải tán đám đông; vì Người đang ở dưới thuyền, nên các ông chở Người đi. Cũng có nhiều thuyền khác theo Người. Chợt có một cơn bão lớn và những lớp sóng ùa vào thuyền đến nỗi sắp đầy nước. Và Người thì ở đàng lái dựa gối mà ngủ. Các ông đánh thức Người và nói: “Thưa Thầy, chúng con chết mất mà Thầy không quan tâm đến sao?” Chỗi dậy, Người đe gió và phán với biển rằng: “Hãy im đi, hãy lặng đi”. Tức thì gió ngừng biển lặng như tờ. Rồi Người nói với các ông: “Sao các con sợ hãi thế? Các con không có đức tin ư?” Bấy giờ các ông kinh hãi và nói với nhau rằng: “Người là ai mà cả gió lẫn biển cũng đều vâng lệnh Người?”","end":"Ðó là lời Chúa"}},
+        "5041": {"firstReading":{"excerpt":"(Năm II) 2 Sm 15, 13-14. 30; 16, 5-13a","info":"“Chúng ta hãy trốn khỏi Absalon. Hãy để Sêmê nguyền rủa theo lệnh của Chúa”.","title":"Trích sách Samuel quyển thứ hai.","content":"Trong những ngày ấy, có kẻ đến báo tin cho Ðavít rằng: “Toàn dân Israel hết lòng theo Absalon. Ðavít liền nói cùng các cận thần của ông ở Giêrusalem rằng: “Hãy chỗi dậy, chúng ta trốn đi, vì chúng ta không sao thoát khỏi tay Absalon. Các ngươi hãy ra mau đi, kẻo nó đến bắt chúng ta, gây tai hại cho chúng ta và dùng gươm giết hết dân thành”. Ðavít trèo lên núi Cây Dầu, ông vừa leo vừa khóc lóc, đi chân không, đầu phủ khăn. Toàn dân theo ông cũng trùm đầu, vừa leo vừa khóc. Vậy vua Ðavít đến Bahumrim. Và này xuất hiện một người thuộc dòng họ Saolê, tên là Sêmê, con ông Giêra. Anh ta vừa đi vừa nguyền rủa, rồi ném đá Ðavít và những cận vệ của vua. Toàn thể dân chúng và tất cả binh sĩ đều đi hai bên tả hữu nhà vua. Vậy Sêmê nguyền rủa nhà vua rằng: “Hỡi kẻ khát máu, người của Bêlial, xéo đi, xéo đi! Chúa đã đổ trên đầu ngươi tất cả máu của nhà Saolê mà ngươi đã tiếm vị. Thiên Chúa đã trao vương quốc vào tay Absalon, con ngươi. Này tai hoạ hành hạ ngươi, vì ngươi là một tên khát máu”. Bấy giờ Abisai con trai của Sarvia, tâu vua rằng: “Cớ sao thằng chó chết này nguyền rủa đức vua tôi? Ðể tôi đi lấy đầu nó”. Vua phán rằng: “Hỡi con của Sarvia, Ta với khanh có liên hệ gì đâu? Cứ để mặc nó nguyền rủa. Vì Chúa bảo nó: ‘Hãy nguyền rủa Ðavít’, ai dám hỏi nó: ‘Tại sao ngươi hành động như vậy?'” Và Ðavít nói với Abisai và toàn thể các cận vệ rằng: “Kìa, con trai bởi lòng ta sinh ra, mà còn tìm giết ta, phương chi con của Giêmini đây. Hãy để nó nguyền rủa theo lệnh Chúa. Biết đâu Chúa sẽ nhìn thấy nỗi khổ tâm của ta, và hôm nay, Người sẽ đổi lời dữ ra hạnh phúc cho ta”. Ðavít và các cận vệ của ông cứ tiếp tục đi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 3, 2-3. 4-5. 6-7","response":"Ðáp: Lạy Chúa! Xin Chúa đứng lên, xin cứu vớt con!","verses":["Xướng: Thân lạy Chúa, nhiều thay người bách hại con, nhiều thay người nổi dậy chống con. Về con, nhiều kẻ thốt ra lời: “Hết trông hắn được Chúa trời cứu độ”.","Xướng: Nhưng, lạy Chúa, Chúa là thuẫn hộ thân con, là vinh quang con, Chúa cho con ngẩng đầu lên. Con lên tiếng kêu cầu tới Chúa, và Chúa đã nghe con từ núi thánh của Ngài.","Xướng: Con nằm xuống và đã ngủ ngon, rồi thức khoẻ vì Chúa đỡ nâng con. Con không kinh hãi ức triệu người ở chung quanh đồn trú hại con. Lạy Chúa! Xin Chúa đứng lên, xin cứu vớt con!"]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 5, 1-20","info":"“Hỡi thần ô uế, hãy ra khỏi người này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ sang bờ biển bên kia, đến địa hạt Giêrasa. Chúa Giêsu vừa ở thuyền lên, thì một người bị quỷ ô uế ám từ các mồ mả ra gặp Người. Người đó vẫn ở trong các mồ mả mà không ai có thể trói nổi, dù dùng cả đến dây xích, vì nhiều lần người ta đã trói anh ta, gông cùm xiềng xích lại, nhưng anh ta đã bẻ gãy xiềng xích, phá gông cùm, và không ai có thể trị nổi anh ta. Suốt ngày đêm anh ta ở trong mồ mả và trong núi, kêu la và lấy đá rạch mình mẩy. Thấy Chúa Giêsu ở đàng xa, anh ta chạy đến sụp lạy Người và kêu lớn tiếng rằng: “Hỡi ông Giêsu, Con Thiên Chúa Tối Cao, ông với tôi có liên hệ gì đâu? Vì danh Thiên Chúa, tôi van ông, xin chớ hành hạ tôi”. Nhưng Chúa Giêsu bảo nó rằng: “Hỡi thần ô uế, hãy ra khỏi người này”. Và Người hỏi nó: “Tên ngươi là gì?” Nó thưa: “Tên tôi là cơ binh, vì chúng tôi đông lắm”. Và nó nài xin Người đừng trục xuất nó ra khỏi miền ấy.\rGần đó, có một đàn heo đông đảo đang ăn trên núi, những thần ô uế liền xin Chúa Giêsu rằng: “Hãy cho chúng tôi đến nhập vào đàn heo”. Và Chúa Giêsu liền cho phép. Các thần ô uế liền xuất ra và nhập vào đàn heo, rồi cả đàn chừng hai ngàn con lao mình xuống biển và chết đuối. Những kẻ chăn heo chạy trốn và loan tin đó trong thành phố và các trại. Người ta liền đến xem việc gì vừa xảy ra. Họ tới bên Chúa Giêsu, nhìn thấy kẻ trước kia bị quỷ ám ngồi đó, mặc quần áo và trí khôn tỉnh táo, và họ kinh hoảng. Những người đã được chứng kiến thuật lại cho họ nghe mọi sự đã xảy ra như thế nào đối với người bị quỷ ám và đàn heo. Họ liền xin Chúa Giêsu rời khỏi ranh giới họ. Khi Người xuống thuyền, kẻ trước kia bị quỷ ám xin theo Người. Nhưng người không cho mà rằng: “Con hãy về nhà với thân quyến, và loan truyền cho họ biết những gì Thiên Chúa đã làm cho con và đã thương con”. Người đó liền đi và bắt đầu tuyên xưng trong miền thập tỉnh, tất cả những gì Chúa Giêsu đã làm cho anh ta, và mọi người đều thán phục.","end":"Ðó là lời Chúa"}},
+        "5042": {"firstReading":{"excerpt":"(Năm II) 2 Sm 18, 9-10. 14b. 24-25a. 30 – 19, 3","info":"“Áp-sa-lôm con cha ơi, sao cha không chết thay cho con?”","title":"Trích sách Sa-mu-en quyển thứ hai.","content":"Trong những ngày ấy, Áp-sa-lôm đang cỡi lừa, tình cờ gặp các cận vệ của Ða-vít, và khi con lừa đi qua dưới cây sồi to lớn rậm rạp, thì đầu ông vướng vào cây sồi, và ông bị treo lơ lửng, và con lừa ông đang cỡi cứ chạy. Có người thấy vậy, liền đi báo cho Giô-áp rằng: “Tôi đã thấy Áp-sa-lôm bị treo trên cây sồi”. Giô-áp cầm ba chiếc lao phóng thẳng vào tim Áp-sa-lôm.\rBấy giờ Ða-vít đang ngồi giữa hai cửa, còn người lính gác lúc đó đi trên thành phía trên cửa, ngước mắt lên trông thấy một người chạy về. Tên lính gác hô to báo tin cho vua. Vua liền nói: “Nếu chỉ có một đứa, tức là nó mang tin mừng”. Vua nói với anh ta: “Ngươi hãy qua bên này”. Khi anh ta đi qua và đứng đó, thì tên Cút xuất hiện và tâu vua rằng: “Tâu đức vua, tôi mang đến cho vua một tin mừng, vì hôm nay, Chúa đã xét xử bênh vực đức vua, Người đã giải thoát đức vua khỏi tay tất cả những kẻ dấy lên chống lại đức vua”. Vua hỏi Cút: “Áp-sa-lôm con ta có bình an không?” Cut thưa lại: “Ước gì các thù địch của đức vua và toàn thể những kẻ dấy lên chống đức vua, đều bị tai hoạ như chàng thanh niên đó”.\rBấy giờ vua buồn sầu và đi lên lầu nơi cổng thành mà khóc lóc. Ngài vừa đi vừa nói: “Con ơi, hỡi Áp-sa-lôm! Áp-sa-lôm con ơi! Sao cha không chết thay cho con! Áp-sa-lôm con ơi! Áp-sa-lôm con ơi! Chớ gì ai để cha chết thay cho con. Áp-sa-lôm con ơi! Con ơi, hỡi Áp-sa-lôm!”\rNgười ta đi báo tin cho Giô-áp hay rằng đức vua khóc lóc và than tiếc con, nên hôm đó cuộc chiến thắng trở nên tang chế cho toàn dân, vì hôm đó, dân chúng nghe nói rằng: “Ðức vua thương tiếc con mình”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 85, 1-2. 3-4. 5-6","response":"Ðáp: Lạy Chúa, xin ghé tai nghe, xin nhậm lời con","verses":["Xướng: Lạy Chúa, xin ghé tai nghe, xin nhậm lời con, vì con đau khổ và cơ bần. Xin bảo toàn mạng sống con, vì con hiếu thảo với Ngài, xin cứu vớt người bầy tôi đang cậy trông vào Chúa.","Xướng: Ngài là Thiên Chúa của con, xin thương con, lạy Chúa, vì con ân cần kêu van Ngài. Nguyện cho bầy tôi Chúa được hân hoan, vì, lạy Chúa, con vươn hồn lên tới Chúa.","Xướng: Lạy Chúa, vì Chúa nhân hậu và khoan dung, giàu lượng từ bi với những ai kêu cầu Chúa. Lạy Chúa, xin nghe lời con khẩn nguyện, và quan tâm đến tiếng con van nài."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 5, 21-43","info":"“Hỡi em bé, Ta bảo em hãy chỗi dậy”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su đã xuống thuyền trở về bờ bên kia, có đám đông dân chúng tụ họp quanh Người, và lúc đó Người đang ở bờ biển. Bỗng có một ông trưởng hội đường tên là Gia-ia đến. Trông thấy Người, ông sụp lạy và van xin rằng: “Con gái tôi đang hấp hối, xin Ngài đến đặt tay trên nó để nó được khỏi và được sống”. Chúa Giê-su ra đi với ông ấy, và đám đông dân chúng cũng đi theo chen lấn Người tứ phía.\rVậy có một người đàn bà bị bệnh xuất huyết đã mười hai năm. Bà đã chịu cực khổ, tìm thầy chạy thuốc, tiêu hết tiền của mà không thuyên giảm, trái lại bệnh càng tệ hơn. Khi bà nghe nói về Chúa Giê-su, bà đi lẫn trong đám đông đến phía sau Người, chạm đến áo Người, vì bà tự nhủ: “Miễn sao tôi chạm tới áo Người thì tôi sẽ được lành”. Lập tức, huyết cầm lại và bà cảm thấy trong mình đã được khỏi bệnh. Ngay lúc ấy, Chúa Giê-su nhận biết có sức mạnh đã xuất phát tự mình, Người liền quay lại đám đông mà hỏi: “Ai đã chạm đến áo Ta?” Các môn đệ thưa Người rằng: “Thầy coi, đám đông chen lấn Thầy tứ phía, vậy mà Thầy còn hỏi “Ai chạm đến Ta?” Nhưng Người cứ nhìn quanh để tìm xem kẻ đã làm điều đó. Bấy giờ người đàn bà run sợ, vì biết rõ sự thể đã xảy ra nơi mình, liền đến sụp lạy Người và thú nhận với Người tất cả sự thật. Người bảo bà: “Hỡi con, đức tin con đã chữa con, hãy về bình an và được khỏi bệnh”.\rNgười còn đang nói, thì người nhà đến nói với ông trưởng hội đường rằng: “Con gái ông chết rồi, còn phiền Thầy làm chi nữa?” Nhưng Chúa Giêsu đã thoáng nghe lời họ vừa nói, nên Người bảo ông trưởng hội đường rằng: “Ông đừng sợ, hãy cứ tin”. Và Người không cho ai đi theo, trừ Phê-rô, Gia-cô-bê và Gio-an, em Gia-cô-bê. Các ngài đến nhà ông trưởng hội đường. Và Chúa Giê-su thấy người ta khóc lóc kêu la ồn ào, Người bước vào và bảo họ: “Sao ồn ào và khóc lóc thế? Con bé không chết đâu, nó đang ngủ đó”. Họ liền chế diễu Người. Nhưng Người đuổi họ ra ngoài hết, chỉ đem theo cha mẹ đứa bé và những môn đệ đã theo Người vào chỗ đứa bé nằm. Và Người cầm tay đứa nhỏ nói rằng: “Ta-li-tha-kum”, nghĩa là: “Hỡi em bé, Ta truyền cho em hãy chỗi dậy!” Tức thì em bé đứng dậy và đi được ngay, vì em đã được mười hai tuổi. Họ sửng sốt kinh ngạc. Nhưng Người cấm ngặt họ đừng cho ai biết việc ấy, và bảo họ cho em bé ăn.","end":"Ðó là lời Chúa"}},
+        "5043": {"firstReading":{"excerpt":"(Năm II) 2 Sm 24, 2. 9-17","info":"“Chính con đã phạm tội, nhưng những người này là những con chiên, họ có làm gì đâu?”","title":"Trích sách Samuel quyển thứ hai.","content":"Trong những ngày ấy, vua Ða-vít nói với Giô-áp tư lệnh quân đội rằng: “Ngươi hãy đi kinh lý khắp các chi tộc Ít-ra-en, từ Ðan đến Bơ-e Se-va, và kiểm tra dân chúng, để ta biết dân số”.\rGiô-áp nạp sổ kiểm tra dân chúng cho vua. Trong dân Ít-ra-en có tám trăm ngàn dũng sĩ biết xử dụng gươm, còn phía Giu-đa có năm trăm ngàn người thiện chiến.\rSau khi kiểm tra dân số, Ða-vít hồi hộp và thưa cùng Chúa rằng: “Con đã phạm tội nặng nề trong việc con đã làm. Nhưng, lạy Chúa, xin xóa tội ác cho tôi tớ Chúa, vì con đã hành động quá dại dột”. Sáng hôm sau, khi Ða-vít thức dậy, có lời Chúa phán cùng ông Gát, vị tiên tri và thị kiến của Ða-vít rằng: “Ngươi hãy đi nói với Ða-vít: Ðây Chúa phán: Ta cho ngươi ba điều, ngươi hãy chọn điều nào ngươi muốn, rồi Ta sẽ thi hành”. Gát đến cùng Ða-vít và tâu rằng: “Hoặc ngài phải chịu bảy năm đói kém trong nước ngài, hoặc trong ba tháng, ngài phải lẩn trốn quân thù tìm bắt bớ ngài, hoặc là trong nước ngài phải chịu dịch tả suốt ba ngày, giờ đây ngài hãy suy nghĩ đắn đo và chịu điều nào đi để tôi thưa lại cùng Ðấng đã sai tôi”. Ða-vít trả lời cho Gát rằng: “Tôi khổ quá! Nhưng thà rơi vào tay Chúa còn hơn là rơi vào tay người phàm, vì Chúa rất nhân từ”.\rChúa đã giáng cơn dịch tả xuống Ít-ra-en từ sáng hôm ấy cho đến thời gian đã định. Từ Ðan tới Bơ-e Se-va, có đến bảy mươi ngàn người đàn ông trong dân phải chết. Ðang lúc thiên thần Chúa giơ tay để tàn phá Giê-ru-sa-lem, thì Chúa hối tiếc trước sự đau khổ, nên phán bảo thiên thần đang giết phạt dân chúng rằng: “Thôi đủ rồi! Giờ đây hãy dừng tay lại”. Bấy giờ thiên thần Chúa đang ở gần sân lúa của A-rau-na người Giơ-vút. Khi thấy thiên thần sát phạt dân chúng, Ða-vít thưa cùng Chúa rằng: “Chính con là kẻ đã phạm tội, chính con đã làm điều gian ác; nhưng những người này là những con chiên, họ có làm gì đâu? Vậy xin tay Chúa đè nặng trên con và trên nhà cha con”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 31, 1-2. 5. 6. 7","response":"Ðáp: Lạy Chúa, Chúa đã tha thứ tội lỗi cho con (c. 5c).","verses":["Xướng: Phúc thay người được tha thứ lỗi lầm, và tội phạm của người được ơn che đậy! Phúc thay người mà Chúa không trách cứ lỗi lầm, và trong lòng người đó chẳng có mưu gian.","Xướng: Con xưng ra cùng Chúa tội phạm của con, và lỗi lầm của con, con đã không che giấu. Con nói: “Con thú thực cùng Chúa điều gian ác của con, và Chúa đã tha thứ tội lỗi cho con”.","Xướng: Bởi thế nên mọi người tín hữu sẽ nguyện cầu cùng Chúa trong thời buổi khốn khó gian truân. Khi sóng cả ba đào ập tới, chúng sẽ không hại nổi những người này.","Xướng: Chúa là chỗ dung thân, Chúa giữ tôi khỏi điều nguy khổ, Chúa đùm bọc tôi trong niềm vui ơn cứu độ."]},"alleluia":{"verse":"Ga 8,12","content":"Alleluia. – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống. – Alleluia."},"gospel":{"excerpt":"Mc 6,1-6","info":"“Không một tiên tri nào mà không bị khinh bỉ ở quê hương”.","title":"Bài trích Phúc Âm theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su trở về quê nhà và các môn đệ cùng theo Người.\rÐến ngày Sa-bát, Người vào giảng trong hội đường, và nhiều thính giả sủng sốt về giáo lý của Người, nên nói rằng: “Bởi đâu ông nầy được như vậy? Sao ông được khôn ngoan như vậy? Bởi đâu tay Người làm được những sự lạ thể ấy? Ông này chẳng phải bác thợ mộc con bà Ma-ri-a, anh em với Gia-cô-bê, Giuse, Giu-đa và Si-mon sao? Chị em ông không ở với chúng ta đây sao?”\rVà họ vấp phạm vì Người.\rChúa Giê-su liền bảo họ: “Không một tiên tri nào mà không bị kinh bỉ ở quê hương, gia đình họ hàng mình”.\rỞ đó Người không làm phép lạ nào được, ngoại trừ đặt tay chữa vài bệnh nhân, và Người ngạc nhiên vì họ cứng lòng tin.\rNgười đi rảo qua các làng chung quanh mà giảng dạy.","end":"Ðó là lời Chúa"}},
+        "5044": {"firstReading":{"excerpt":"1 V 2, 1-4. 10-12","info":"“Cha sắp bước vào con đường chung của thiên hạ; Sa-lô-môn, con hãy can đảm và ăn ở xứng danh nam nhi”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Gần ngày băng hà, Ða-vít truyền cho Sa-lô-môn, con trai của ông rằng: “Cha sắp bước vào con đường chung của thiên hạ. Con hãy can đảm, và ăn ở xứng danh nam nhi. Con hãy tuân giữ các huấn lệnh của Chúa là Thiên Chúa con, hãy đi trong đường lối của Người, hãy tuân giữ các lễ nghi, giới răn, thánh chỉ và giáo huấn của Người như đã ghi chép trong Luật Mô-sê, ngõ hầu con đi đâu, con cũng hiểu biết mọi việc con làm, để Chúa hoàn thành lời Người đã nói về cha rằng: “Nếu con cái ngươi tuân giữ đường lối của chúng và hết lòng hết trí đi trước mặt Ta trong chân lý, thì ngươi sẽ không bao giờ mất người kế vị trên ngôi báu Israel”.\rVậy vua Ða-vít yên giấc với các tổ phụ và được mai táng trong thành Ða-vít. Ða-vít làm vua Ít-ra-en được bốn mươi năm: tại Khép-rôn, ngài cai trị bảy năm; tại Giê-ru-sa-lem, ngài cai trị ba mươi ba năm. Còn Sa-lô-môn lên ngôi Ða-vít cha ngài, và triều đại ngài rất vững bền.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"1 Sb 29, 10. 11ab. 11d-12a. 12bcd","response":"Ðáp: Chúa thống trị trên tất cả mọi loài.","verses":["Hoặc đọc: Giàu sang là của Chúa, và vinh quang là của Chúa.","Xướng: Ðavít đã chúc tụng Chúa trước mặt toàn thể cộng đồng, người thưa: “Lạy Chúa là Thiên Chúa Israel cha ông chúng con, Chúa đáng chúc tụng, từ đời đời tới muôn muôn thuở”.","Xướng: Lạy Chúa, cao sang, quyền bính và vinh quang, chiến thắng, lời ca khen đều thuộc về Chúa, vì tất cả những gì trên trời dưới đất là của Chúa. – Ðáp.","Xướng: Chúa ngự trên tất cả những đế vương. Giàu sang là của Chúa, và vinh quang là của Chúa. – Ðáp.","Xướng: Chúa thống trị trên tất cả mọi loài, sức mạnh quyền bính đều ở trong tay Chúa; ở trong tay Chúa, mọi uy phong và vững bền."]},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"alleluia! – Lạy Chúa, lời của Chúa là thần trí và là sự sống: Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 6, 7-13","info":"“Người bắt đầu sai các ông đi“.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, Chúa Giê-su gọi mười hai tông đồ và sai từng hai người đi, Người ban cho các ông có quyền trên các thần ô uế. Và Người truyền các ông đi đường đừng mang gì, ngoài cây gậy, không mang bị mang bánh, không mang tiền trong túi, nhưng chân đi dép, và đừng mặc hai áo. Người lại bảo: “Ðến đâu, các con vào nhà nào, thì ở lại đó cho đến khi ra đi. Ai không đón tiếp các con, cũng không nghe lời các con, thì hãy ra khỏi đó, phủi bụi chân để làm chứng tố cáo họ”. Các ông ra đi rao giảng sự thống hối. Các ông trừ nhiều quỷ, xức dầu chữa lành nhiều bệnh nhân.","end":"Ðó là lời Chúa"}},
+        "5045": {"firstReading":{"excerpt":"(Năm II): Hc 47, 2-13","info":"“Ðavít đã thành tâm ca tụng và yêu mến Thiên Chúa”.","title":"Trích sách Huấn Ca.","content":"Như miếng mỡ lóc ra khỏi thịt con vật tế lễ thế nào, thì Ða-vít được chọn giữa con cái Israel như vậy. Người dỡn với sư tử như dỡn với chiên con và đùa với gấu như đùa với những chiên con. Khi còn trẻ, nào người đã chẳng hạ sát tên khổng lồ và rửa nhục cho dân, khi vung dây ném đá đánh ngã tên Go-li-át kiêu căng đó sao? Vì người đã kêu cầu Thiên Chúa toàn năng, và Chúa đã ban sức mạnh cho người để hạ sát tên chiến sĩ hùng dũng, để nâng cao lòng can đảm của dân người. Nhờ thế, người được tôn vinh như đã giết mười ngàn, được ca tụng vì những lời Chúa chúc lành, và được người ta trao tặng triều thiên vinh quang, vì người đã tiêu diệt quân thù chung quanh, đã thanh toán bọn giặc Phi-li-tinh cho đến ngày nay, đã đập tan sức mạnh chúng đến muôn đời. Trong mọi việc, người dùng lời ca khen mà tuyên xưng Ðấng Thánh Tối Cao; người thành tâm ca tụng Chúa, và yêu mến Thiên Chúa đã sáng tạo người, đã cho người quyền năng chống lại quân thù. Người thành lập ca đoàn trước bàn thờ Chúa, để hoà nhịp những bài thánh ca. Người tổ chức những cuộc lễ huy hoàng, quy định đầy đủ chu kỳ thời gian, để họ ca tụng thánh danh Chúa, và từ sáng sớm, họ biểu dương sự thánh thiện của Thiên Chúa. Chúa đã thứ tha tội lỗi của người, và tán dương sức mạnh của người đến muôn đời. Chúa đã ban cho người giao ước vương quốc và ngôi báu vinh quang trong Ít-ra-en.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 17, 31. 47 và 50. 51.","response":"Ðáp: Tán tụng Thiên Chúa là Ðấng cứu độ tôi (c. 47b).","verses":["Xướng: Ðường lối Thiên Chúa là đường thanh khiết, lời của Chúa được luyện trong lửa đỏ, chính Người là khiên thuẫn che kẻ nương nhờ Người.","Xướng: Chúa hằng sống, chúc tụng Ðá Tảng của tôi, tán tụng Thiên Chúa là Ðấng cứu độ tôi! – Bởi vậy, con sẽ ca tụng Ngài giữa chư dân, lạy Chúa, và con sẽ xướng ca khen ngợi danh Ngài.","Xướng: Ngài đã ban cho vương nhi Ngài đại thắng, đã tỏ lòng từ bi với Ðấng được xức dầu của Ngài, với Ðavít và miêu duệ ông cho tới muôn đời."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mc 6, 14-29","info":"“Ðó chính là Gio-an Tẩy Giả trẫm đã chặt đầu, nay sống lại”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mác-cô.","content":"Khi ấy, vua Hê-rô-đê nghe nói về Chúa Giê-su, vì danh tiếng Người đã lẫy lừng, kẻ thì nói: “Gio-an Tẩy giả đã từ cõi chết sống lại, nên ông đã làm những việc lạ lùng”; kẻ thì bảo: “Ðó là Ê-li-a”; kẻ khác lại rằng: “Ðó là một tiên tri như những tiên tri khác”. Nghe vậy, Hê-rô-đê nói: “Ðó chính là Gio-an trẫm đã chặt đầu, nay sống lại”. Vì chính vua Hê-rô-đê đã sai bắt Gio-an và giam ông trong ngục, nguyên do tại Hê-rô-đi-a, vợ của Phi-líp-phê anh vua mà vua đã cưới lấy. Vì Gio-an đã bảo Hê-rô-đê: “Nhà vua không được phép chiếm lấy vợ anh mình”. Phần Hê-rô-đi-a, nàng toan mưu và muốn giết ông, nhưng không thể làm gì được, vì Hê-rô-đê kính nể Gio-an, biết ông là người chính trực và thánh thiện, và giữ ông lại. Nghe ông nói, vua rất phân vân, nhưng lại vui lòng nghe. Dịp thuận tiện xảy đến vào ngày sinh nhật Hê-rô-đê, khi vua thết tiệc các quan đại thần trong triều, các sĩ quan và những người vị vọng xứ Ga-li-lê-a. Khi con gái nàng Hê-rô-đi-a tiến vào nhảy múa, làm đẹp lòng Hê-rô-đê và các quan khách, thì vua liền nói với thiếu nữ ấy rằng: “Con muối gì, cứ xin, trẫm sẽ cho”, và vua thề rằng: “Con xin bất cứ điều gì, dù là nửa nước, trẫm cũng cho”. Cô ra hỏi mẹ: “Con nên xin gì?” Mẹ cô đáp: “Xin đầu Gio-an Tẩy Giả”. Cô liền vội vàng trở vào xin vua: “Con muốn đức vua ban ngay cho con cái đầu Gio-an Tẩy Giả đặt trên đĩa”. Vua buồn lắm, nhưng vì lời thề và vì có các quan khách, nên không muốn làm cho thiếu nữ đó buồn. Và lập tức, vua sai một thị vệ đi lấy đầu Gio-an và đặt trên đĩa. Viên thị vệ liền đi vào ngục chặt đầu Gio-an, và đặt trên đĩa trao cho thiếu nữ, và thiếu nữ đem cho mẹ. Nghe tin ấy, các môn đệ Gio-an đến lấy xác ông và mai táng trong mồ.","end":"Ðó là lời Chúa"}},
+        "5046": {"firstReading":{"excerpt":"(Năm II) 1 V 3, 4-13","info":"“Xin ban cho tôi tớ Chúa tâm hồn ngoan ngoãn để đoán xét dân Chúa”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Sa-lô-môn đến Ghíp-ôn để dâng hy lễ, vì đây là nơi cao rộng nhất. Sa-lô-môn dâng trên bàn thờ này một ngàn lễ vật toàn thiêu. Tại Ghíp-ôn ban đêm, Chúa hiện ra cùng Sa-lô-môn trong giấc mộng, và phán rằng: “Ngươi muốn gì thì hãy xin, Ta sẽ ban cho ngươi”. Sa-lô-môn thưa: “Chúa đã tỏ lòng rất nhân hậu đối với cha con là Ða-vít, tôi tớ Chúa, vì người đã sống trước tôn nhan Chúa trong chân lý và công bình, đã ăn ở ngay thẳng đối với Chúa. Chúa đã dành cho người một lòng nhân hậu lớn lao, đã ban cho người đứa con trai hiện đang ngồi trên ngôi báu của người. Và giờ đây, lạy Chúa là Thiên Chúa, Chúa khiến tôi tớ Chúa cai trị kế vị Ða-vít thân phụ con. Nhưng con chỉ là một trẻ nhỏ, không biết đường đi nước bước. Tôi tớ Chúa đang sống giữa dân Chúa chọn, một dân đông đảo không thể đếm và ước lượng được. Vậy xin Chúa ban cho tôi tớ Chúa tâm hồn ngoan ngoãn để đoán xét dân Chúa, và phân biệt lành dữ, vì ai có thể xét xử dân này, một dân của Chúa đông đảo thế này”.\rÐiều Sa-lô-môn kêu xin như trên đã làm đẹp lòng Chúa, nên Chúa phán cùng Sa-lô-môn rằng: “Vì ngươi đã xin điều đó, mà không xin sống lâu, được giàu có, của cải, mạng sống quân thù, lại xin cho ngươi được khôn ngoan để biết xét đoán, thì đây Ta ban cho ngươi điều ngươi xin, và ban cho ngươi một tâm hồn khôn ngoan minh mẫn, đến nỗi trước ngươi không có ai giống như ngươi, và sau ngươi không có ai bằng ngươi. Cả những điều ngươi không xin, như giàu có và vinh quang đến nỗi từ trước đến giờ, trong các vua, không vua nào được như ngươi, Ta cũng ban cho ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 9. 10. 11. 12. 13. 14.","response":"Ðáp: Lạy Chúa, xin dạy con các thánh chỉ của Chúa","verses":["Xướng: Tuổi trẻ lấy chi giữ cho thanh khiết đường đời? Bằng cách noi theo lời vàng của Chúa.","Xướng: Với tất cả tâm can con tìm Chúa, xin chớ để con lạc xa chỉ thị Ngài.","Xướng: Con chôn cất trong lòng lời răn của Chúa, để con không phạm tội phản nghịch Ngài.","Xướng: Thân lạy Chúa, Ngài muôn phước đức, xin dạy con các thánh chỉ của Ngài.","Xướng: Con kể được ra nơi đầu môi, tất cả những huấn dụ bởi miệng Ngài.","Xướng: Con vui vì đường lối lời Ngài nghiêm huấn, dường như được mọi thứ giàu sang."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng biết Ta”. – Alleluia."},"gospel":{"excerpt":"Mc 6, 30-34","info":"“Họ như đàn chiên không người chăn”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo thánh Mác-cô.","content":"Khi ấy, các tông đồ hội lại bên Chúa Giê-su và thuật lại với Người mọi việc các ông đã làm và đã giảng dạy. Người liền bảo các ông: “Các con hãy lui vào nơi vắng vẻ mà nghỉ ngơi một chút”. Vì lúc ấy dân chúng đến tấp nập đến nỗi các tông đồ không có thì giờ ăn uống. Vậy các ngài xuống thuyền, chèo tới một nơi vắng vẻ hẻo lánh. Thấy các ngài đi, nhiều người hiểu ý, và từ các thành phố, người ta đi bộ kéo đến nơi đó và tới nơi trước các ngài. Lúc ra khỏi thuyền, Chúa Giê-su thấy dân chúng thật đông, thì động lòng thương, vì họ như đàn chiên không người chăn, và Người dạy dỗ họ nhiều điều.","end":"Ðó là lời Chúa"}},
+        "5051": {"firstReading":{"excerpt":"(Năm II) 1 V 8, 1-7. 9-13","info":"“Họ mang hòm bia Thiên Chúa vào nơi Cực Thánh, và mây bao phủ nhà Chúa”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, các kỳ lão Israel, cùng những thủ lãnh các chi họ và những trưởng gia tộc con cái Israel đều tề tựu trước mặt vua tại Giêrusalem, để cung nghinh hòm bia Thiên Chúa từ thành Ðavít, tức là thành Sion. Trong ngày đại lễ, nhằm tháng Ethanim, tức tháng bảy, toàn dân Israel tụ họp quanh vua Salomon. Khi các kỳ lão Israel đến, các tư tế liền khiêng hòm bia, và mang hòm bia Chúa đi, mang cả nhà tạm giao ước và tất cả những đồ thánh trong nhà tạm; các tư tế và các thầy Lêvi phụ trách khiêng đi.\rVua Salomon và toàn dân Israel tề tựu quanh ngài, tiến đi với ngài trước hòm bia, và tế lễ vô số chiên bò không kể xiết. Các tư tế khiêng hòm bia Thiên Chúa đặt vào nơi đã chỉ định tại đền thờ, nơi cực thánh, dưới cánh các tượng vệ binh thần. Các tượng này giang cánh trên nơi để hòm bia, và che phủ hòm bia và các đòn khiêng. Trong hòm bia không có gì khác ngoài hai bia đá mà Môsê đã đặt vào hòm ở núi Horeb, lúc Chúa lập giao ước với con cái Israel khi họ ra khỏi đất Ai-cập. Khi các tư tế lui ra khỏi cung thánh, thì có mây bao phủ nhà Chúa. Vì mây mù, nên các tư tế không thể đứng đó mà thi hành chức vụ: vì vinh quang của Chúa tràn đầy nhà Chúa. Bấy giờ Salomon nói rằng: “Chúa đã từng phán sẽ ngự trong đám mây. Vậy tôi đã xây cất ngôi nhà làm nơi ở cho Chúa, một nơi vững chắc Chúa ngự đến muôi đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 131, 6-7. 8-10","response":"Ðáp: Lạy Chúa, xin lên đường đi tới nơi an nghỉ (c. 8a).","verses":["Xướng: Ðây là điều chúng tôi đã nghe nói tại Ephrata, chúng tôi đã gặp thấy nơi đồng ruộng Gia-ar. Chúng ta hãy tiến vào nhà Chúa, hãy sụp lạy trước bệ dưới chân Ngài.","Xướng: Lạy Chúa, xin lên đường đi tới nơi an nghỉ, Chúa và Hòm Bia oai quyền của Chúa cùng đi! Các tư tế của Ngài hãy mặc lấy lòng đạo đức, và các tín đồ của Ngài hãy mừng rỡ hân hoan. Xin vì Ðavít là tôi tớ Chúa, Chúa đừng hắt hủi người được Chúa xức dầu."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 6, 53-56","info":"Tất cả những ai chạm tới Người, đều được khỏi bệnh\".","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ qua biển rồi, các ngài tới miền Giênêsarét và ghé bến.\rCác ngài lên khỏi thuyền, tức thì người ta nhận ra Người, họ liền rảo chạy khắp miền, và nghe tin Người ở đâu thì khiêng những người đau yếu nằm trên chõng đến đó.\rBất cứ Người vào làng trại hay đô thị nào, người ta cũng đặt các bệnh nhân ở các nơi công cộng và xin Người cho họ ít là được chạm tới gấu áo Người, và tất cả những ai chạm tới Người, đều được khỏi bệnh.","end":"Ðó là lời Chúa"}},
+        "5052": {"firstReading":{"excerpt":"(Năm II) 1 V 8, 22-23. 27-30","info":"“Chúa đã phán: “Danh Ta sẽ ở nơi đó, để nhậm lời van nài của dân Israel”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Salomon đứng trước bàn thờ Chúa, đối diện với cộng đoàn Israel, ông giơ hai tay lên trời và nguyện rằng: “Lạy Chúa là Thiên Chúa Israel, trên trời dưới đất, không có thần nào giống như Chúa. Chúa giữ lời giao ước và lòng từ bi đối với các tôi tớ đang thành tâm đi trước mặt Chúa. Nhưng ai dám nghĩ rằng: quả thật Thiên Chúa ngự ở trần gian? Vì nếu trời và các tầng trời còn không thể chứa được Chúa, huống chi ngôi nhà con xây cất đây! Nhưng lạy Chúa là Thiên Chúa của con, xin đoái nghe lời cầu nguyện và sự van nài của tôi tớ Chúa; xin lắng nghe lời ca khen và kinh nguyện mà tôi tớ Chúa dâng lên trước mặt Chúa hôm nay, ngõ hầu đêm ngày mắt Chúa nhìn xem ngôi nhà này là nơi Chúa đã phán ‘Danh Ta sẽ ở nơi đó’, để nghe lời cầu nguyện mà tôi tớ Chúa kêu xin trong nơi này, để nhậm lời van nài của tôi tớ Chúa và của dân Israel sẽ cầu nguyện tại nơi đây. Từ thiên cung nơi Chúa ngự, xin Chúa nhậm lời, và khi đã nhậm lời, xin Chúa dủ lòng thương”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 83, 3. 4. 5 và 10. 11","response":"Ðáp: Lạy Chúa thiên binh, khả ái thay cung điện của Chúa (c. 2).","verses":["Xướng: Linh hồn tôi khát khao và mòn mỏi, mong vào hành lang nhà Ðức Thiên Chúa. Tâm thần và thể xác tôi hoan hỉ tìm đến cùng Thiên Chúa trường sinh.","Xướng: Ðến như chim sẻ còn kiếm được nhà, và chim nhạn tìm ra tổ ấm, để làm nơi ấp ủ con mình, cạnh bàn thờ Chúa, ôi Chúa là Thiên Chúa thiên binh, Ôi Ðại Vương và Thiên Chúa của con.","Xướng: Ôi Thiên Chúa, phúc đức ai ngụ nơi nhà Chúa: họ sẽ khen ngợi Chúa tới muôn đời. Thuẫn đỡ cho chúng con, xin hãy nhìn xem, lạy Thiên Chúa, xin hãy đoái nhìn mặt Ðức Kitô của Người.","Xướng: Thực, một ngày sống trong hành lang nhà Chúa, đáng quý hơn ngàn ngày ở nơi đâu khác. Con ưa đứng nơi ngưỡng cửa nhà Chúa con, hơn là cư ngụ trong lều bọn ác nhân."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mc 7, 1-13","info":"“Các ngươi gác bỏ một bên các giới răn Thiên Chúa, để nắm giữ tập tục phàm nhân”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, những người biệt phái và mấy luật sĩ từ Giêrusalem tụ tập lại bên Chúa Giêsu, và họ thấy vài môn đệ Người dùng bữa với những bàn tay không tinh sạch, nghĩa là không rửa trước. Vì theo đúng tập tục của tiền nhân, những người biệt phái và mọi người Do-thái không dùng bữa mà không rửa tay trước, và ở nơi công cộng về, họ không dùng bữa mà không tắm rửa trước. Họ còn giữ nhiều tập tục khác nữa, như rửa chén, rửa bình, rửa các đồ đồng. Vậy những người biệt phái và luật sĩ hỏi Người: “Sao môn đệ ông không giữ tập tục của tiền nhân mà lại dùng bữa với những bàn tay không tinh sạch?” Người đáp: “Hỡi bọn giả hình, Isaia thật đã nói tiên tri rất chí lý về các ngươi, như lời chép rằng: “Dân này kính Ta ngoài môi miệng, nhưng lòng chúng ở xa Ta. Nó sùng kính Ta cách giả dối, bởi vì nó dạy những giáo lý và những luật lệ loài người”. Vì các ngươi bỏ qua các giới răn Thiên Chúa, để nắm giữ tập tục loài người: rửa bình, rửa chén và làm nhiều điều như vậy”. Và Người bảo: “Các ngươi đã khéo bỏ giới răn Thiên Chúa, để nắm giữ tập tục của các ngươi. Thật vậy, Môsê đã nói: “Hãy thảo kính cha mẹ”, và “ai rủa cha mẹ, sẽ phải xử tử”. Còn các ngươi thì lại bảo: “Nếu ai nói với cha mẹ mình rằng: Những của tôi có thể giúp cha mẹ được là Corban rồi (nghĩa là của dâng cho Chúa)”, và các ngươi không để cho kẻ ấy giúp gì cho cha mẹ nữa. Như thế các ngươi huỷ bỏ lời Chúa bằng những tập tục truyền lại cho nhau. Và các ngươi còn làm nhiều điều khác giống như thế”.","end":"Ðó là lời Chúa"}},
+        "5053": {"firstReading":{"excerpt":"(Năm II) 1 V 10, 1-10","info":"“Nữ hoàng Saba đã nhìn thấy mọi sự khôn ngoan của vua Salomon”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, nữ hoàng Saba nghe biết Salomon nổi tiếng vì danh Chúa, bà đến hỏi thử ông nhiều câu đố. Bà đến Giêrusalem với đoàn tuỳ tùng đông đảo và nhiều của cải, gồm có lạc đà chở thuốc thơm, vô số vàng và đá ngọc quý báu. Bà yết kiến Salomon và bày tỏ cùng vua mọi nỗi niềm tâm sự. Salomon giải đáp mọi vấn nạn bà nêu ra, và không một lời bí ẩn nào mà không được vua giải đáp.\rNữ hoàng Saba nhìn thấy sự khôn ngoan của Salomon, thấy nhà ngài xây cất, món ăn ngài dùng, nhà của quần thần, trật tự của các công thần và y phục của họ, các quan chước tửu, và các của lễ toàn thiêu mà ngài hiến dâng trong đền thờ Chúa, thì bà hết hồn. Bà thưa cùng vua rằng: “Thật đúng như lời tôi nghe đồn trong xứ tôi về các công trình và sự khôn ngoan của ngài. Và lúc đó tôi không tin những điều người ta kể cho tôi, cho tới khi tôi đến đây, chính mắt tôi đã trông thấy, và tôi quả quyết rằng những điều đồn đại tôi nghe chưa bằng một phân nửa. Sự khôn ngoan và các công trình của ngài còn vĩ đại hơn tiếng đồn tôi đã nghe. Phúc cho thần dân của ngài, và phúc cho các cận vệ của ngài, luôn luôn được ở trước mặt ngài và nghe lời khôn ngoan của ngài. Chúc tụng Thiên Chúa của ngài là Ðấng yêu thương ngài, và đặt ngài lên ngôi báu Israel. Vì Chúa yêu quý Israel muôn đời, nên đã đặt ngài làm vua, để ngài cai trị công minh chính trực”. Vậy bà tặng vua một trăm hai mươi nén vàng, một số rất lớn thuốc thơm và đá ngọc quý giá. Người ta không khi nào thấy một số thuốc thơm nhiều hơn thuốc thơm mà nữ hoàng Saba tặng cho vua Salomon.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 36, 5-6. 30-31. 39-40","response":"Ðáp: Miệng người hiền thuyết đức khôn ngoan","verses":["Xướng: Bạn hãy phó thác đường lối mình cho Chúa, hãy trông cậy vào Người và để chính Người hành động. Người sẽ làm cho chính nghĩa bạn sáng như bình minh, và quyền lợi bạn tỏ như giờ ngọ.","Xướng: Miệng người hiền thuyết đức khôn ngoan, và lưỡi người nói điều đoan chánh. Luật Thiên Chúa ở trong lòng người, và bước chân người không xiêu té.","Xướng: Người hiền được Chúa ban ơn cứu độ, trong cơn khốn khó, Người là chỗ họ dung thân. Chúa bang trợ và giải thoát họ, Người giải thoát và cứu họ khỏi lũ ác nhân, vì họ đã nương tựa vào Người."]},"alleluia":{"verse":"Ga. 15, 15b","content":"alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết.- Alleluia."},"gospel":{"excerpt":"Mc 7,14-23","info":"“Những gì từ con người ta xuất ra, đó là cái làm cho người ta ra ô uế”","title":"Bài trích Phúc Âm theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu lại gọi dân chúng mà bảo rằng: “Hết thảy hãy nghe và hiểu rõ lời Ta. Không có gì từ bên ngoài vào trong con người mà có thể làm cho họ ra ô uế. Chỉ có những gì từ con người ta xuất ra, chính những cái đó mới làm cho họ ra ô uế. Ai có tai để nghe thì hãy nghe”.\rLúc Người lìa dân chúng mà về nhà, các môn đệ hỏi Người về ý nghĩa dụ ngôn ấy.\rNgười liền bảo các ông: “Các con cũng mê muội như thế ư? Các con không hiểu rằng tất cả những gì từ bên ngoài vào trong con người không thể làm cho người ta ra ô uế được, vì những cái đó không vào trong tâm trí, nhưng vào bụng rồi xuất ra”.\rNhư vậy Người tuyên bố mọi của ăn đều sạch.\rNgười lại phán: “Những gì ở trong người ta mà ra, đó là cái làm cho người ta ô uế. Vì từ bên trong, từ tâm trí người ta xuất phát những tư tưởng xấu, ngoại tình, dâm ô, giết người, trộm cắp, tham lam, độc ác, xảo trá, lăng loàn, ganh tị, vu khống, kiêu căng, ngông cuồng.\rTất cả những sự xấu đó đều ở trong mà ra, và làm cho ngươì ta ô uế”.","end":"Ðó là lời Chúa"}},
+        "5054": {"firstReading":{"excerpt":"(Năm II) 1 V 11, 4-13","info":"“Bởi ngươi không giữ giao ước, Ta cất vương quốc khỏi ngươi; nhưng vì Ðavít thân phụ ngươi,Ta sẽ dành một chi tộc cho con trai ngươi”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Khi vua Salomon đã về già, các bà vợ của ông mê hoặc lòng ông, kéo ông theo các thần dân ngoại, lòng ông không còn trọn vẹn với Chúa là Thiên Chúa của ông, như lòng Ðavít thân phụ ông. Salomon tôn thờ nữ thần Astarthê của dân Siđon, và thần Môlốc của dân Ammon. Và Salomon đã làm điều không đẹp lòng Chúa và không trọn niềm theo Chúa, như Ðavít thân phụ ông. Bấy giờ Salomon xây am trên núi đối diện với Giêrusalem cho Khanios, thần của dân Moab, và cho Môlốc, thần của dân Ammon. Ông cũng làm như thế cho tất cả các bà vợ ngoại bang của ông, để các bà dâng hương và tế lễ cho các thần của các bà. Vậy Chúa thịnh nộ với Salomon, vì tâm hồn ông đã bỏ Chúa là Thiên Chúa Israel, Ðấng đã hiện ra với ông hai lần, và cấm ông không được chạy theo các thần khác, nhưng Salomon không tuân giữ điều Chúa truyền dạy ông.\rDo đó, Chúa phán cùng Salomon rằng: “Bởi ngươi đã ăn ở như thế, và đã không tuân giữ giao ước và lề luật mà Ta đã truyền cho ngươi, Ta sẽ phân chia vương quốc của ngươi, và trao cho tôi tớ ngươi. Nhưng vì nể Ðavít, thân phụ ngươi, Ta sẽ không thi hành điều đó khi ngươi còn sống. Ta sẽ phân chia vương quốc ngươi ngay trên tay con của ngươi. Vì Ðavít, tôi tớ Ta, và vì Giêrusalem Ta đã tuyển chọn, Ta sẽ không lấy tất cả vương quốc: Ta sẽ dành một chi tộc cho con trai ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 3-4. 35-36. 37 và 40","response":"Ðáp: Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Ngài (c. 4a).","verses":["Xướng: Phúc cho ai tuân giữ những lời huấn lệnh, và luôn luôn thực thi điều công chính. Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Ngài; xin mang ơn cứu độ đến thăm viếng chúng con.","Xướng:Họ đã hoà mình với người chư dân, và học theo công việc chúng làm. Họ sùng bái tà thần của chúng, những tà thần đã hoá thành lưới dò hại họ.","Xướng: Họ đã giết những người con trai và con gái, để làm lễ cúng tế quỷ thần. Chúa đã bừng cơn thịnh nộ với dân tộc, và tởm ghét phần gia nghiệp của Ngài."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời – Alleluia."},"gospel":{"excerpt":"Mc 7, 24-30","info":"\"Những con chó ở dưới gầm bàn cũng ăn những mụn bánh rơi của con cái\"","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đến địa hạt Tyrô và Siđon. Vào một nhà kia, Người không muốn ai biết Mình, nhưng Người không thể ẩn náu được. Vì ngay lúc đó, một bà kia có đứa con gái bị thần ô uế ám, bà nghe nói về Người liền đến phục lạy Người. Bà đó là người dân ngoại, dòng giống Syrô-phênixi, và bà xin Người trừ quỷ ra khỏi con bà. Người nói: “Hãy để con cái ăn no trước đã, vì không nên lấy bánh của con cái mà ném cho chó”. Nhưng bà trả lời và thưa Người rằng: “Thưa Thầy, đúng thế, nhưng các chó con cũng được ăn những mụn rơi dưới bàn ăn của con cái”. Người liền nói với bà: “Vì lời bà nói đó, bà hãy về; quỷ đã ra khỏi con gái bà rồi”. Khi bà về đến nhà, thì thấy cô gái nhỏ nằm trên giường và quỷ đã xuất rồi.","end":"Ðó là lời Chúa"}},
+        "5055": {"firstReading":{"excerpt":"(Năm II) 1 V 11, 29-32; 12, 19","info":"“Israel lìa bỏ nhà Ðavít”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Khi ấy, Giêroboam từ Giêrusalem đi ra, thì tiên tri Ahia, người Silô mặc áo choàng mới, gặp ông dọc đường. Lúc đó chỉ có hai người ở ngoài đồng. Ahia cầm lấy áo choàng mới ông đang mặc, xé ra làm mười hai phần và nói với Giêroboam rằng: “Ông hãy cầm lấy mười phần cho ông, vì Chúa là Thiên Chúa Israel phán thế này: ‘Ðây, Ta sẽ phân chia vương quốc từ tay Salomon, và Ta sẽ cho ngươi mười chi tộc. Vì Ðavít tôi tớ Ta, và vì thành Giêrusalem mà Ta đã lựa chọn trong mọi chi tộc Israel, Ta sẽ dành cho Salomon một chi tộc’ “. Như thế, Israel lìa bỏ nhà Ðavít cho đến ngày nay.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 80, 10-11ab. 12-13. 14-15","response":"Ðáp: Ta là Chúa, là Thiên Chúa của ngươi, ngươi hãy nghe Ta răn bảo (c. 11a & 9a).","verses":["Xướng: Ở nơi ngươi đừng có một chúa tể nào khác cả, ngươi cũng đừng thờ tự một chúa tể ngoại lai: vì Ta là Chúa, là Thiên Chúa của ngươi, Ta đã đưa ngươi ra ngoài Ai-cập.","Xướng: Nhưng dân tộc của Ta chẳng có nghe lời Ta, Israel đã không vâng lời Ta răn bảo. Bởi thế nên Ta để mặc cho chúng cứng lòng để chúng sinh hoạt tuỳ theo sở thích.","Xướng: Phải chi dân tộc của Ta biết nghe lời Ta, Israel biết theo đường lối của Ta mà ăn ở: thì lập tức Ta sẽ triệt hạ kẻ thù của chúng, và để đập tan quân địch của chúng, Ta sẽ trở tay!"]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Lạy Chúa, xin dạy bảo tôi về lối bước của Chúa và xin hướng dẫn tôi trong chân lý của Ngài – Alleluia."},"gospel":{"excerpt":"Mc 7, 31-37","info":"“Người làm cho kẻ điếc nghe được và người câm nói được”.","title":"Bài trích Phúc Âm theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu từ địa hạt Tyrô, qua Siđon đến gần biển Galilêa giữa miền thập tỉnh. Người ta đem đến cho Người một kẻ điếc và xin Người đặt tay trên kẻ ấy. Người đem anh ta ra khỏi đám đông, đặt ngón tay vào tai anh và bôi nước miếng vào lưỡi anh. Ðoạn ngước mắt lên trời, Người thở dài và bảo: Ephata, nghĩa là “hãy mở ra”, tức thì tai anh được sõi sàng. Chúa Giêsu liền cấm họ: đừng nói điều đó với ai cả. Nhưng Người càng cấm, thì họ càng loan truyền mạnh hơn. Họ đầy lòng thán phục, mà rằng: “Người làm mọi sự tốt đẹp, Người làm cho kẻ điếc nghe được và người câm nói được”.","end":"Ðó là lời Chúa"}},
+        "5056": {"firstReading":{"excerpt":"(Năm II) 1 V 12, 26-32; 13, 33-34","info":"“Giêroboam đúc hai con bò vàng”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Giêroboam nói trong lòng rằng: “Giờ đây vương quốc sẽ trở về với nhà Ðavít; nếu dân này lên Giêrusalem để tế lễ trong nhà Chúa, thì lòng dân này sẽ quy thuận với chủ mình là Roboam, vua xứ Giuđa; họ sẽ giết ta và trở về với Roboam”. Bấy giờ, ông triệu tập hội nghị và đúc hai con bò vàng, ông nói với dân chúng rằng: “Các ngươi không cần phải lên Giêrusalem nữa. Hỡi Israel, đây những vị thần minh đã dẫn ngươi ra khỏi đất Ai-cập”. Ông đặt một con bò vàng ở Bêthel và một con ở Ðan. Việc đó là dịp tội cho dân Israel, vì dân chúng lên tận Ðan để thờ con bò vàng. Ông còn xây chùa miếu trên những nơi cao, đặt các người trong dân làm tư tế, họ không phải là con cháu Lêvi. Ông chọn ngày rằm tháng tám là ngày lễ trọng, giống như lễ trọng thường cử hành trong xứ Giuđa. Ông lên bàn thờ để tế những tượng bò mà ông đã đúc, ông làm như thế ở Bêthel; cũng tại Bêthel, ông đã thiết lập hàng tư tế trong các chùa miếu mà ông đã xây cất trên những nơi cao.\rSau các sự việc đó, Giêroboam chẳng những không dứt bỏ đàng tội lỗi, mà trái lại ông còn tiếp tục đặt ở những nơi cao hàng tư tế chọn trong dân chúng. Do đó, nhà Giêroboam phạm tội, bị lật đổ và xoá khỏi mặt đất.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 105, 6-7a. 19-20. 21-22.","response":"Ðáp: Lạy Chúa, xin nhớ chúng con khi gia ân huệ cho dân Ngài (c. 4a).","verses":["Xướng: Chúng tôi đã phạm tội cũng như tổ phụ chúng tôi, chúng tôi đã làm điều gian ác và ăn ở bất nhân. Tổ phụ chúng tôi, khi còn ở bên Ai-cập, đã không suy xét những việc lạ lùng của Chúa.","Xướng: Dân chúng đã đúc con bò tại Horéb, và lễ bái thần tượng đã đúc bằng vàng. Họ đem vinh quang của mình đánh đổi lấy hình tượng con bò ăn cỏ.","Xướng: Họ đã quên Thiên Chúa là Ðấng cứu độ mình, Ðấng đã làm những điều trọng đại bên Ai-cập, Ðấng đã làm những điều kỳ diệu trên lãnh thổ họ Cam, và những điều kinh ngạc nơi Biển Ðỏ."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Ước gì hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng – Alleluia."},"gospel":{"excerpt":"Mc 8, 1-10","info":"“Họ ăn no nê”.","title":"Bài trích Phúc Âm theo Thánh Marcô.","content":"Trong những ngày ấy, dân chúng theo Chúa Giêsu đông đảo, và họ không có gì ăn, Người gọi các môn đệ và bảo: “Ta thương đám đông, vì này đã ba ngày rồi, họ không rời bỏ Ta và không có gì ăn. Nếu Ta để họ đói mà về nhà, họ sẽ mệt lả giữa đường, vì có nhiều người từ xa mà đến”.\rCác môn đệ thưa: “Giữa nơi hoang địa này, lấy đâu đủ bánh cho họ ăn no”.\rVà người hỏi các ông: “Các con có bao nhiêu bánh?”\rCác ông thưa: “Có bảy chiếc”.\rNgười truyền dân chúng ngồi xuống đất, rồi Người cầm lấy bảy chiếc bánh, tạ ơn, bẻ ra và trao cho các môn đệ phân phát.\rCác ông chia cho dân chúng.\rCác môn đệ còn có mấy con cá nhỏ.\rNgười cũng đọc lời chúc tụng và truyền cho các ông phân phát.\rDân chúng ăn no nê và người ta thu lượm những miếng còn thừa lại được bảy thúng.\rSố người ăn độ chừng bốn ngàn.\rRồi Người giải tán họ, kế đó Người cùng các môn đệ xuống thuyền đến miền Ðammanutha.","end":"Ðó là lời Chúa"}},
+        "5061": {"firstReading":{"excerpt":"(Năm II) Gc 1, 1-11","info":"“Lòng tin của anh em được thử thách, rèn luyện đức kiên nhẫn, để anh em nên hoàn hảo và trọn vẹn”.","title":"Khởi đầu bức thơ của Thánh Giacôbê Tông đồ.","content":"Giacôbê, đầy tớ của Thiên Chúa và của Ðức Giêsu Kitô, Chúa chúng ta, kính chào mười hai chi tộc sống phân tán khắp nơi. Anh em thân mến, anh em hãy vui mừng khi gặp mọi thử thách, anh em biết rằng lòng tin được thử thách rèn luyện đức kiên nhẫn. Còn kiên nhẫn phải đưa đến hành động hoàn hảo, để anh em nên hoàn hảo và trọn vẹn, không khiếm khuyết điều gì.\rNếu ai trong anh em thấy mình khiếm khuyết sự khôn ngoan, thì hãy xin cùng Thiên Chúa là Ðấng rộng lượng ban ơn cho mọi người mà không quở trách, và Người sẽ ban cho. Nhưng hãy lấy lòng tin tưởng mà xin, đừng hoài nghi, vì ai hoài nghi, thì giống như sóng biển bị gió cuốn đi và giao động. Con người hai lòng, do dự trong mọi đường lối, con người ấy đừng mong lãnh nhận gì nơi Chúa.\rNgười anh em khó hèn, hãy hiên ngang vì được suy tôn; còn người giàu mà trở nên khó hèn, thì cũng vậy, vì chưng ai nấy cũng sẽ qua đi như hoa cỏ. Mặt trời mọc lên nóng bức, làm cho cỏ héo hoa tàn, và vẻ đẹp của nó cũng tiêu tan; người giàu có cũng vậy, bôn ba đến mấy, cũng sẽ suy tàn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 67. 68. 71. 72. 75. 76.","response":"Ðáp: Nguyện Chúa xót thương cho con được sống (c. 77a).","verses":["Xướng: Trước khi bị khổ, con đã lạc lầm, nhưng giờ đây, lời sấm của Ngài con xin tuân.","Xướng: Chúa là Ðấng tốt lành và nhân hậu, xin dạy bảo con những thánh chỉ của Ngài.","Xướng: Con bị khổ nhục, đó là điều tốt, để cho con học biết thánh chỉ của Ngài.","Xướng: Ðối với con, luật pháp do miệng Chúa đáng chuộng hơn vàng bạc châu báu muôn ngàn.","Xướng: Lạy Chúa, con biết sắc dụ Ngài công minh, và Ngài có lý mà bắt con phải khổ.","Xướng: Xin Chúa tỏ lòng thương hầu ủy lạo con, theo như lời đã hứa cùng tôi tớ Chúa."]},"alleluia":{"verse":" ","content":"Alleluia – Alleluia – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết – Alleluia."},"gospel":{"excerpt":"Mc 8, 11-13","info":"“Tại sao thế hệ này lại xin điềm lạ?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các người biệt phái xuất hiện và bắt đầu tranh luận với Chúa Giêsu. Họ xin Người một điềm lạ trên trời để thử Người. Người thở dài mà nói: “Tại sao thế hệ này lại xin điềm lạ? Quả thật, Ta bảo các ông hay: Sẽ chẳng cho thế hệ này điềm lạ nào”. Rồi bỏ họ đó, Người lại xuống thuyền sang bờ bên kia.","end":"Ðó là lời Chúa"}},
+        "5062": {"firstReading":{"excerpt":"(Năm II) Gc 1, 12-18","info":"“Chính Thiên Chúa không hề cám dỗ”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Phúc cho kẻ chịu thử thách, vì khi đã được tinh luyện, sẽ lãnh nhận triều thiên sự sống mà Thiên Chúa đã hứa ban cho những kẻ yêu mến Người. Khi bị cám dỗ, đừng ai nói rằng bị Thiên Chúa cám dỗ, vì Thiên Chúa không thể bị sự dữ cám dỗ, và chính Người cũng không hề cám dỗ ai. Nhưng mỗi người bị tình dục cám dỗ, bị nó xúi giục và dụ dỗ. Rồi khi tình dục đã thai nghén, thì sinh ra tội lỗi, và khi tội đã phạm rồi, thì sinh ra chết.\rAnh em thân mến, anh em đừng lầm lẫn: mọi ơn lành và mọi phúc lộc hoàn hảo đều do tự trời, bởi Cha sáng láng ban xuống, nơi Người không có thay đổi và cũng không có bóng dáng sự thay đổi. Người đã muốn sinh ra chúng ta bằng lời chân thật, để chúng ta nên như của đầu mùa trong các tạo vật.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 93, 12-13a. 14-15. 18-19","response":"Ðáp: Lạy Chúa, phúc thay người được Ngài dạy bảo (c. 12a).","verses":["Xướng: Lạy Chúa, phúc thay người được Ngài dạy bảo, và giáo hoá theo luật pháp của Ngài, hầu cho họ được thảnh thơi trong những ngày gian khổ.","Xướng: Vì Chúa sẽ không loại trừ dân tộc, và không bỏ rơi gia nghiệp của Ngài. Nhưng sự xét xử sẽ trở lại đường công chính, và mọi người lòng ngay sẽ thuận tình theo.","Xướng: Ðang lúc con nghĩ rằng chân con xiêu té, thì, lạy Chúa, ân sủng Ngài nâng đỡ thân con. Khi lòng con vướng thêm nhiều điều lo lắng, thì ơn Chúa ủi an làm vui sướng hồn con."]},"alleluia":{"verse":" ","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia"},"gospel":{"excerpt":"Mc 8, 14-21","info":"“Các con hãy ý tứ giữ mình khỏi men biệt phái và men Hêrôđê”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các môn đệ quên mang bánh và chỉ còn một chiếc bánh trong thuyền. Và Chúa Giêsu dặn bảo các ông rằng: “Các con hãy coi chừng và giữ mình cho khỏi men biệt phái và men Hêrôđê”. Các môn đệ nghĩ ngợi và nói với nhau rằng: “Tại mình không có bánh”. Chúa Giêsu biết ý liền bảo rằng: “Sao các con lại nghĩ tại các con không có bánh? Các con chưa hiểu, chưa biết ư? Sao các con tối dạ như thế, có mắt mà không xem, có tai mà không nghe? Khi Thầy bẻ năm chiếc bánh cho năm ngàn người ăn, các con đã thu được bao nhiêu thúng đầy miếng bánh dư, các con không nhớ sao?” Các ông thưa: “Mười hai thúng”. – “Và khi Thầy bẻ bảy chiếc bánh cho bốn ngàn người ăn, các con đã thu được bao nhiêu thúng đầy miếng bánh dư?” Họ thưa: “Bảy thúng”. Bấy giờ Người bảo các ông: “Vậy mà các con vẫn chưa hiểu sao?”","end":"Ðó là lời Chúa"}},
+        "5063": {"firstReading":{"excerpt":"(Năm II) Gc 1, 19-27","info":"“Anh em hãy thực thi lời đã nghe, chớ đừng nghe suông”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, anh em hãy biết rằng: Mọi người hãy mau nghe, nhưng đừng vội nói và vội nóng giận, vì sự nóng giận của người ta không thực hiện sự công chính của Thiên Chúa. Cho nên anh em hãy khử trừ mọi thứ nhơ bẩn và lòng đầy gian ác; anh em hãy ngoan ngoãn nhận lãnh lời đã gieo trong lòng anh em, là lời có sức cứu độ linh hồn anh em. Anh em hãy thực thi lời đã nghe, chứ đừng nghe suông mà lừa dối chính mình.\rVì chưng, ai nghe lời mà không thực hành, thì giống như người soi mặt mình trong gương: soi rồi, ra đi, và không nhớ mình thế nào. Còn kẻ suy ngắm luật tự do hoàn hảo, và bền đỗ trong lề luật, thì không phải là kẻ nghe rồi quên, mà là nghe rồi thực hành; kẻ đó sẽ có phúc vì đã thực hành.\rNếu ai tưởng mình đạo đức mà lại không kìm hãm miệng lưỡi mình, nhưng lừa dối lòng mình, thì lòng đạo đức của nó vô giá trị. Lòng đạo đức trong sạch và tinh tuyền đối với Thiên Chúa Cha là: thăm viếng cô nhi quả phụ trong cơn quẫn bách, và giữ mình khỏi mọi ô uế đời này.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","response":"Ðáp: Lạy Chúa, ai được cư ngụ trên núi thánh của Chúa? (c. 1b)","verses":["Xướng: Người sống thanh liêm và thực thi công chính, và trong lòng suy nghĩ điều ngay, và lưỡi không bịa lời vu khống.","Xướng: Người không làm ác hại bạn đồng liêu, cũng không làm nhục cho ai lân cận. Người coi rẻ đứa bất nhân, nhưng kính yêu những ai tôn sợ Chúa.","Xướng: Người không xuất tiền đặt nợ thu lời, cũng không ăn hối lộ hại người hiền lương. Người thực thi những điều kể đó, thì muôn đời chẳng có lung lay."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mc 8, 22-26","info":"“Người mù khỏi hẳn và thấy được mọi vật rõ ràng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ đến Bếtsaiđa, người ta dẫn tới Chúa một người mù và xin Chúa đặt tay trên người ấy. Chúa cầm tay người mù, dắt ra khỏi làng, Chúa phun nước miếng vào mắt anh và đặt tay trên anh mà hỏi: “Ngươi có thấy gì không?” Anh nhìn lên và trả lời: “Tôi thấy người ta như những cây cối đang đi”. Chúa lại đặt tay trên mắt người mù, anh liền thấy rõ và khỏi hẳn, thấy được mọi vật rõ ràng. Chúa Giêsu cho người ấy về nhà và căn dặn: “Ngươi hãy về nhà, và nếu có vào làng thì đừng nói với ai”.","end":"Ðó là lời Chúa"}},
+        "5064": {"firstReading":{"excerpt":"(Năm II) Gc 2, 1-9","info":"“Không phải Thiên Chúa đã chọn người nghèo đó sao? Thế mà anh em khinh chê người nghèo khó”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, Anh em là những người tin vào Ðức Giêsu Kitô vinh hiển, Chúa chúng ta, anh em đừng thiên vị. Giả sử trong lúc anh em hội họp, có người đi vào, tay đeo nhẫn vàng, mình mặc áo sang trọng; lại cũng có người nghèo khó đi vào, áo xống dơ bẩn; nếu anh em chăm chú nhìn người mặc áo rực rỡ mà nói: “Xin mời ông ngồi chỗ danh dự này”. Còn với người nghèo khó thì anh em lại nói rằng: “Còn anh, anh đứng đó”, hoặc: “Anh hãy ngồi dưới bệ chân tôi”. Ðó không phải là anh em xét xử thiên vị ở giữa anh em và trở nên những quan xét đầy tà tâm đó sao?\rAnh em thân mến, xin hãy nghe: Không phải Thiên Chúa đã chọn người nghèo trước mắt thế gian, để nhờ đức tin, họ trở nên giàu có và được thừa hưởng nước Người đã hứa cho những kẻ yêu mến Người đó sao? Thế mà anh em khinh chê người nghèo khó. Không phải những người giàu có dùng quyền hành áp bức anh em, và lôi anh em ra toà án đó sao? Không phải chính họ thoá mạ thánh danh tốt đẹp đã được kêu cầu trên anh em sao?\rÐã hẳn, nếu anh em giữ trọn vương đạo như Thánh Kinh dạy, là “Ngươi hãy yêu mến tha nhân như chính mình”, thì anh em làm phải. Nhưng nếu anh em thiên vị, là anh em phạm tội, bị lề luật lên án như những kẻ lỗi luật.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 33, 2-3. 4-5. 6-7","response":"Ðáp: Kìa người đau khổ cầu cứu và Chúa đã nghe (c. 7a).","verses":["Xướng: Tôi chúc tụng Chúa trong mọi lúc, miệng tôi hằng liên lỉ ngợi khen Người. Trong Chúa linh hồn tôi hãnh diện, bạn nghèo hãy nghe và hãy mừng vui.","Xướng: Các bạn hãy cùng tôi ca ngợi Chúa, cùng nhau ta hãy tán tạ danh Người. Tôi cầu khẩn Chúa, Chúa đã nhậm lời, và Người đã cứu tôi khỏi mọi điều lo sợ.","Xướng: Hãy nhìn về Chúa để các bạn vui tươi, và các bạn khỏi hổ ngươi bẽ mặt. Kìa người đau khổ cầu cứu và Chúa đã nghe, và Người đã cứu họ khỏi mọi điều tai nạn."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mc 8, 27-33","info":"“Thầy là Ðấng Kitô. Con Người sẽ phải chịu khổ nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu cùng các môn đệ đi về phía những làng nhỏ miền Cêsarê thuộc quyền Philipphê. Dọc đường, Người hỏi các ông rằng: “Người ta bảo Thầy là ai?” Các ông đáp lại rằng: “Thưa là Gioan tẩy giả. Một số bảo là Êlia, một số khác lại cho là một trong các vị tiên tri”. Bấy giờ Người hỏi: “Còn các con, các con bảo Thầy là ai?” Phêrô lên tiếng đáp: “Thầy là Ðấng Kitô”. Người liền nghiêm cấm các ông không được nói về Người với ai cả. Và Người bắt đầu dạy các ông biết Con Người sẽ phải chịu đau khổ nhiều, sẽ bị các kỳ lão, các trưởng tế, các luật sĩ chối bỏ và giết đi, rồi sau ba ngày sẽ sống lại. Người công khai tuyên bố các điều đó. Bấy giờ Phêrô kéo Người lui ra mà can trách Người. Nhưng Người quay lại nhìn các môn đệ và quở trách Phêrô rằng: “Satan, hãy lui đi, vì ngươi không biết việc Thiên Chúa, mà chỉ biết việc loài người”.","end":"Ðó là lời Chúa"}},
+        "5065": {"firstReading":{"excerpt":"(Năm II) Gc 2, 14-24. 26","info":"“Cũng như xác không hồn là xác chết, thì đây đức tin không việc làm là đức tin chết”.","title":"Trích sách của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, nếu có ai nói mình có đức tin, mà không hành động theo đức tin, thì nào có ích gì? Ðức tin như thế có thể cứu được nó ư? Nếu có anh chị em nào không cơm ăn áo mặc, mà có kẻ trong anh em lại bảo họ rằng: “Chúc anh chị em đi bình an, và ăn no mặc ấm”, mà anh em lại không cho họ những gì cần dùng cho thân xác, thì nào có ích gì? Về đức tin cũng vậy, nếu không có việc làm, là đức tin chết tận gốc rễ.\rNhưng có người sẽ nói: “Anh, anh có đức tin; còn tôi, tôi có việc làm”. Anh hãy tỏ cho tôi thấy đức tin không việc làm của anh, và tôi sẽ lấy việc làm mà chỉ cho anh thấy đức tin của tôi. Anh tin Thiên Chúa là Ðấng duy nhất ư? Như thế là đúng. Ma quỷ cũng tin như thế và chúng run sợ. Hỡi người khờ dại, anh có muốn biết rằng đức tin không việc làm là đức tin chết không? Abraham, tổ phụ chúng ta, đã chẳng nhờ việc làm mà được công chính hoá khi hiến dâng con mình là Isaac trên bàn thờ đó sao? Anh có thấy rằng: đức tin hợp tác với việc làm, và nhờ việc làm mà đức tin được hoàn hảo đó không? Như vậy đã ứng nghiệm lời Kinh Thánh rằng: “Abraham đã tin vào Thiên Chúa và việc ấy được kể là điều công chính cho người, và người đã được gọi là bạn thiết nghĩa của Thiên Chúa”.\rDo đó anh em có thấy rằng: người ta nhờ việc làm mà được nên công chính, chứ không phải chỉ nhờ đức tin mà thôi không? Quả vậy, cũng như xác không hồn là xác chết, thì đức tin không việc làm là đức tin chết.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 5-6","response":"Ðáp: Phúc đức thay người ham mộ luật pháp của Chúa (c. 1b).","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng ham mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong Ðất Nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Trong nhà người có tài sản phú quý, và lòng quảng đại người còn mãi muôn đời. Trong u tối người xuất hiện như ánh sáng soi kẻ lòng ngay, người nhân hậu, từ bi và công chính.","Xướng: Phúc đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình. Cho tới đời đời người sẽ không nao núng: người hiền đức sẽ được ghi nhớ muôn đời."]},"alleluia":{"verse":" ","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 8, 34-39","info":"“Ai chịu mất mạng sống mình vì Ta và vì Phúc Âm thì sẽ cứu được mạng sống mình”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu tập họp dân chúng cùng các môn đệ lại, và phán: “Ai muốn theo Ta, hãy từ bỏ mình, vác thập giá mình mà theo Ta. Quả thật, ai muốn cứu mạng sống mình, thì sẽ mất. Còn ai chịu mất mạng sống mình vì Ta và vì Phúc Âm, thì sẽ cứu được mạng sống mình. Vì chưng được lời lãi cả thế gian mà mất mạng sống mình, thì nào được ích gì? Và người ta lấy gì mà đánh đổi mạng sống mình? Ai hổ thẹn vì Ta và vì lời Ta trong thế hệ ngoại tình và tội lỗi này, thì Con Người cũng sẽ hổ thẹn từ khước nó, khi Người đến trong vinh quang của Cha Người cùng với các thần thánh”.\rVà Ngài nói với họ: “Quả thật, Ta bảo các ngươi: trong số những kẻ có mặt đây, có người sẽ không phải nếm cái chết, trước khi thấy Nước Thiên Chúa đến trong quyền năng”.","end":"Ðó là lời Chúa"}},
+        "5066": {"firstReading":{"excerpt":"(Năm II) Gc 3, 1-10","info":"“Không ai có thể kiềm chế được cái lưỡi”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, đừng để lắm người trong anh em làm thầy: vì anh em biết rằng do đó, anh em sẽ bị xét đoán nặng hơn. Tất cả chúng ta đã sai lỗi nhiều lần. Nếu ai không sai lỗi trong lời nói, thì là người trọn lành, vì kẻ ấy có thể chế ngự được thân xác mình. Nếu chúng ta tra được hàm thiết vào miệng ngựa để bắt nó tùng phục chúng ta, thì chúng ta cũng có thể điều khiển được cả mình nó. Kìa, cả những chiếc thuyền, tuy to lớn và bị cuồng phong lôi cuốn, mà một bánh lái nhỏ điều khiển chúng theo ý người hoa tiêu. Cũng thế, lưỡi là một chi thể bé nhỏ, nhưng cao rao nhiều điều vĩ đại.\rKìa, một ngọn lửa có là bao, mà đốt cháy cả một khu rừng lớn. Lưỡi cũng là ngọn lửa, là cả một thế giới gian ác. Lưỡi là một trong các chi thể của chúng ta, nó làm hoen ố cả thân xác, được hoả ngục nhen nhúm lên, nó đốt cháy cả cuộc đời chúng ta. Mọi loài cầm thú, muông chim, rắn rít, và cá biển đang và đã bị loài người chế ngự. Nhưng không ai có thể chế ngự được cái lưỡi: một tai hoạ bất trị, và chứa đầy nọc độc giết người. Với cái lưỡi, chúng ta chúc tụng Thiên Chúa là Cha; với cái lưỡi, chúng ta chúc dữ con người đã được tạo thành giống hình ảnh Thiên Chúa. Bởi chính cái miệng mà phát xuất ra vừa lời chúc tụng, vừa lời chúc dữ. Hỡi anh em, đừng để xảy ra như thế.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 11, 2-3. 4-5. 7-8","response":"Ðáp: Phần Ngài, lạy Chúa, xin gìn giữ chúng con (c. 8a).","verses":["Xướng: Xin cứu nguy, lạy Chúa! Vì không còn nữa kẻ hiền nhân, không còn nữa sự trung tín giữa con người! Thiên hạ nói với nhau những điều man trá, nói bằng cặp môi gian giảo, tâm địa nước đôi.","Xướng: Xin Chúa diệt hết các cặp môi gian giảo, mọi cái lưỡi ngoa ngôn, những đứa tự khoe: “Nhờ tấc lưỡi của ta, ta mạnh; cặp môi ta biện hộ cho ta, đối với ta có ai là Chúa?”","Xướng: Lời của Chúa là những lời chân thật, là kim ngân đã thử, bảy lần gạn lọc, hết trơn bụi đất. Phần Ngài, lạy Chúa, xin gìn giữ chúng con, xin bảo vệ chúng con khỏi thế hệ này mãi mãi."]},"alleluia":{"verse":" ","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 9, 1-12","info":"“Người biến hình trước mặt các ông”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đưa Phêrô, Giacôbê, và Gioan đi riêng với Người lên núi cao, và Người biến hình trước mặt các ông, và áo Người trở nên chói lọi trắng tinh như tuyết, không thợ giặt nào trên trần gian có thể giặt trắng đến thế. Rồi Êlia cùng Môsê hiện ra và đàm đạo với Chúa Giêsu. Bấy giờ Phêrô lên tiếng thưa Chúa Giêsu rằng: “Lạy Thầy, chúng con được ở đây thì tốt lắm, chúng con xin làm ba lều, một cho Thầy, một cho Môsê, và một cho Êlia”. Phêrô không rõ mình nói gì, vì các ông đều hoảng sợ. Lúc đó một đám mây bao phủ các Ngài, và từ đám mây có tiếng phán rằng: “Ðây là Con Ta rất yêu dấu, các ngươi hãy nghe lời Người”. Bỗng nhìn chung quanh, các ông không còn thấy ai khác, chỉ còn một mình Chúa Giêsu với các ông.\rVà trong lúc từ trên núi đi xuống, Chúa Giêsu ra lệnh cho các ông đừng thuật lại cho ai những điều vừa xem thấy, trước khi Con Người từ cõi chết sống lại. Các ông tuân lời căn dặn đó, nhưng vẫn tự hỏi nhau: “Từ trong cõi chết sống lại nghĩa là gì?” Và các ông hỏi Người: “Tại sao các biệt phái và luật sĩ lại nói Êlia phải đến trước đã?” Người đáp: “Êlia phải đến trước để sửa lại mọi sự, và như có lời chép về Con Người rằng ‘Người phải chịu nhiều đau khổ và khinh bỉ’. Vậy Thầy bảo cho các con hay: Êlia đã đến rồi và chúng xử với người mặc ý chúng, như đã chép về người”.","end":"Ðó là lời Chúa"}}
+    }
+});
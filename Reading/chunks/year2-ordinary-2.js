@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year2-ordinary-2", {
+    "ORDINARY_Y2": {
+        "5071": {"firstReading":{"excerpt":"(Năm II) Gc 3, 13-18","info":"“Nếu anh em có lòng thích cãi vã, thì đừng lên mặt”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, ai là kẻ khôn ngoan và từng trải trong anh em? Người ấy hãy lấy đời sống tốt lành mà bày tỏ công việc của mình thấm nhuần sự hiền từ khôn ngoan. Còn nếu anh em có lòng ganh tị chua cay và thích cãi vã, anh em đừng lên mặt và nói dối nghịch cùng sự thật. Vì thứ khôn ngoan đó không phải từ trời xuống, mà là thứ khôn ngoan phàm trần, mang nặng thú tính và là của ma quỷ. Bởi chưng ở đâu có ganh tị và cãi vã, ở đó có hỗn độn và đủ thứ tệ đoan. Nhưng sự khôn ngoan từ trời xuống, thì trước tiên là trong trắng, rồi ôn hoà, bao dung, nhu mì, hướng thiện, đầy lòng nhân từ và hoa quả tốt lành, không xét đoán thiên vị, không giả dối. Hoa quả của công chính được gieo vãi trong bình an cho những người xây đắp an bình.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 15","response":"Ðáp: Giới răn Chúa chính trực, làm hoan lạc tâm can (c. 9a).","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt.","Xướng: Giới răn Chúa chính trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thật, công minh hết thảy.","Xướng: Xin Chúa nhậm những lời miệng con công bố, và sự lòng con suy gẫm trước thiên nhan, lạy Chúa là Ðá Tảng, là Ðấng Cứu chuộc con."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mc 9, 13-28 (Gr 14-29)","info":"“Lạy Thầy, tôi tin, xin Thầy trợ giúp đức tin hèn kém của tôi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu (từ trên núi xuống) và đến cùng các môn đệ, Người thấy một đám đông vây quanh các ông và những luật sĩ đang tranh luận với các ông.\rVừa thấy Người, tất cả đám đông kinh ngạc, họ sợ hãi và chạy đến chào Người. Và Người hỏi họ rằng: “Các ngươi tranh luận gì với nhau đó?” Một người trong đám đông trả lời rằng: “Lạy Thầy, tôi đem đến cùng Thầy đứa con trai tôi đang bị quỷ câm ám. Quỷ đột nhập vào nó bất kỳ ở đâu thì vật nó ngã xuống đất và nó xùi bọt mép, nghiến răng, cứng đờ ra. Tôi đã xin các môn đệ Thầy trừ quỷ, nhưng họ bất lực”. Người đáp lại: “Hỡi thế hệ cứng lòng tin, Ta còn ở giữa các ngươi đến bao giờ? Ta phải chịu đựng các ngươi đến bao giờ nữa? Ðem nó lại đây cho Ta”. Và người ta đem nó đến.\rVừa thấy Chúa Giêsu, quỷ liền dằn vặt đứa bé dữ dội, đứa bé ngã ra, xùi bọt mép, lăn lộn trên đất. Chúa Giêsu hỏi cha nó rằng: “Nó bị như thế từ bao giờ?” Ông ta đáp: “Thưa từ lúc bé! Quỷ thường xô nó vào lửa, vào nước để giết nó. Nhưng nếu Thầy có thể làm được gì thì xin Thầy thương giúp chúng tôi”. Chúa Giêsu nói với ông: “Sao lại nói: Nếu Thầy có thể? Với kẻ nào tin, thì mọi sự đều có thể được”. Tức thì cha đứa bé khóc lóc kêu lên: “Thưa Thầy tôi tin, xin Thầy trợ giúp lòng tin yếu kém của tôi”. Chúa Giêsu thấy đám đông tuôn đến, Người nạt thần ô uế rằng: “Hỡi thần câm điếc, Ta truyền cho mi: hãy xuất ra khỏi nó và không được nhập vào nó nữa”. Sau khi kêu thét và dằn vật đứa trẻ dữ dội, quỷ xuất khỏi nó và đứa trẻ ra như chết, khiến đám đông nói: “Nó chết rồi”. Nhưng Chúa Giêsu cầm tay nó nâng dậy và nó đứng lên.\rKhi Chúa vào trong nhà, các môn đệ hỏi riêng Người: “Tại sao chúng con lại không thể trừ được nó?” Người đáp: “Loại đó không thể trừ được, nếu không cầu nguyện và ăn chay”.","end":"Ðó là lời Chúa"}},
+        "5072": {"firstReading":{"excerpt":"(Năm II) Gc 4, 1-10","info":"“Anh em xin mà không nhận được là vì anh em xin không đúng”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, bởi đâu anh em cạnh tranh và cãi cọ nhau? Nào không phải tại điều này: tức tại các đam mê đang giao chiến trong chi thể anh em đó sao? Anh em ham muốn mà không được hưởng, nên anh em giết nhau. Anh em ganh tị mà không được mãn nguyện, nên anh em cạnh tranh và cãi cọ. Anh em không có, là tại anh em không xin. Anh em xin mà không nhận được, là vì anh em xin không đúng, cứ mơ tưởng thoả mãn các đam mê của anh em. Hỡi những kẻ ngoại tình, anh em không biết rằng thân thiết với thế gian là thù địch với Thiên Chúa đó sao? Vậy kẻ nào muốn thân thiết với thế gian này, thì đặt mình làm thù địch với Thiên Chúa. Hay anh em tưởng Kinh Thánh nói cách vô lý rằng: “Chúa quyến luyến thần trí mà Người đặt trong anh em, đến nỗi ghen lên”. Vả Người ban ơn bội hậu. Bởi đó có lời rằng: “Thiên Chúa chống lại những kẻ kiêu căng, nhưng ban ơn phúc cho người khiêm nhường!” Vậy anh em hãy phục tùng Thiên Chúa, hãy chống trả ma quỷ, và nó sẽ trốn xa anh em. Hãy đến gần Thiên Chúa, và Người sẽ đến gần anh em. Hỡi những kẻ tội lỗi, anh em hãy rửa tay cho sạch. Hỡi những kẻ hai lòng, hãy thanh luyện tâm hồn đi. Anh em hãy buồn sầu, than van và kêu khóc. Hãy đổi tiếng cười ra tiếng khóc, và đổi niềm vui ra nỗi buồn. Anh em hãy hạ mình xuống trước mặt Chúa và Người sẽ nâng anh em lên.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 54, 7-8. 9-10a. 10b-11a. 23","response":"Ðáp: Hãy trút nhẹ gánh lo âu cho Chúa để chính Người nâng đỡ thân ngươi (c. 23a).","verses":["Xướng: Tôi tự nhủ: ước chi tôi có cánh như bồ cầu, tôi sẽ bay đi và tìm nơi an nghỉ. Này đây tôi sẽ rời tới cõi xa xăm, tôi sẽ ở lại chỗ sơn lâm hoang vắng.","Xướng: Tôi tìm chỗ dung thân cấp tốc vội vàng, đi ngược dòng phong ba và gió lốc. Lạy Chúa, xin đập tan, xin chia rẽ ngôn từ của chúng.","Xướng: Vì tôi thấy có bạo lực và tranh chấp trong thành trì. Ngày đêm, trên mặt tường chúng đi dạo.","Xướng: Hãy trút nhẹ gánh nặng cho Chúa, để chính Người nâng đỡ thân ngươi: Người không để người hiền lương muôn đời xiêu té."]},"alleluia":{"verse":" ","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mc 9, 29-36 (Hl 30-37)","info":"“Con Người sẽ bị nộp. Ai muốn làm lớn nhất, thì hãy tự làm người rốt hết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ từ trên núi xuống, rồi đi ngang qua xứ Galilêa và Người không muốn cho ai biết. Vì Người dạy dỗ và bảo các ông rằng: “Con Người sẽ bị nộp vào tay người ta và họ sẽ giết Người. Khi đã bị giết, ngày thứ ba, Người sẽ sống lại”. Nhưng các ông không hiểu lời đó và sợ không dám hỏi Người.\rCác ngài tới Capharnaum. Khi đã vào nhà, Người hỏi các ông: “Dọc đàng các con tranh luận gì thế?” Các ông làm thinh, vì dọc đàng các ông tranh luận xem ai là người lớn nhất.\rBấy giờ Người ngồi xuống, gọi mười hai ông lại và bảo các ông rằng: “Ai muốn làm lớn nhất, thì hãy tự làm người rốt hết và làm đầy tớ mọi người”. Và Người đem một em bé lại đặt giữa các ông, rồi ôm nó mà nói với các ông rằng: “Ai đón nhận một trong những trẻ nhỏ như thế này vì danh Thầy, tức là đón tiếp chính mình Thầy. Và ai đón tiếp Thầy, thực ra không phải đón tiếp Thầy, nhưng là đón tiếp Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},
+        "5073": {"firstReading":{"excerpt":"(Năm II) Gc 4, 13b-18 (Gr 13-17)","info":"“Ðời sống anh em là cái gì? Lẽ ra anh em phải nói rằng: ‘Nếu Chúa muốn'”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, bây giờ anh em nói: “Hôm nay hoặc ngày mai chúng tôi sẽ đến một thành nọ, rồi ở lại đó một năm mà buôn bán kiếm lời”. Nhưng anh em đâu có biết ngày mai sẽ ra sao. Bởi vì đời sống anh em là cái gì? Là một chút hơi nước xuất hiện trong giây lát, rồi biến đi. Lẽ ra anh em phải nói rằng: “Nếu Chúa muốn, và nếu chúng tôi còn sống, chúng tôi sẽ làm điều này điều kia”. Nhưng này đây, anh em huênh hoang với những lời khoác loác. Mọi kiểu, huênh hoang như thế đều xấu xa. Vậy ai biết điều lành mà không làm, thì mắc tội.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 48, 2-3. 6-7. 8-10.11","response":"Ðáp: Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ (Mt 5, 3).","verses":["Xướng: Hỡi các dân, xin nghe lấy chuyện này; xin hãy lắng tai, hết thảy những ai cư ngụ địa cầu, người phận nhỏ cũng như người quyền thế, kẻ giàu sang cũng như kẻ cơ bần!","Xướng: Tại sao tôi phải kinh hãi trong ngày tai hoạ, khi ác tâm quân thù mưu hại bao bọc quanh tôi? Bọn người này tin cậy vào tài sản, chúng tự hào vì có bạc vạn tiền muôn?","Xướng: Nhưng thực ra không ai tự cứu được bản thân, cũng không ai dâng được lên Chúa giá tiền chuộc mạng. Giá chuộc mạng quá đắt, không bao giờ người ta có đủ, hầu mong sống mãi đời đời, không phải nhìn coi sự chết.","Xướng: Bởi lẽ người ta thấy cái chết cả những người khôn, kẻ dại kẻ ngu cũng đều phải chết, để lại cho người khác tài sản của mình."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 9, 37-39 (Gr 38-40)","info":"“Ai không chống đối các con, là ủng hộ các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Gioan thưa cùng Chúa Giêsu rằng: “Lạy Thầy, chúng con thấy có kẻ nhân danh Thầy mà trừ quỷ, kẻ đó không theo ta, và chúng con đã ngăn cấm y”. Nhưng Chúa Giêsu phán: “Ðừng ngăn cấm y, vì chẳng ai có thể nhân danh Thầy mà làm phép lạ, rồi liền đó lại nói xấu Thầy. Ai chẳng chống đối các con, là ủng hộ các con”.","end":"Ðó là lời Chúa"}},
+        "5074": {"firstReading":{"excerpt":"(Năm II) Gc 5, 1-6","info":"“Tiền công của những người làm công mà các ngươi đã gian lận đang kêu gào, và tiếng gào ấy đã lọt thấu tai Chúa”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Này đây, hỡi những người giàu có, các ngươi hãy than khóc kêu la, vì các tai hoạ sắp giáng xuống trên các ngươi. Của cải các ngươi bị mục nát, áo quần các ngươi đã bị mối mọt gặm. Vàng bạc của các ngươi đã bị ten sét, và ten sét sẽ là bằng chứng tố cáo các ngươi, và sẽ ăn thịt các ngươi như lửa đốt. Các ngươi đã tích trữ cho các ngươi cơn thịnh nộ trong ngày sau hết.\rNày tiền công thợ gặt ruộng cho các ngươi mà các ngươi đã gian lận, tiền đó đang kêu gào, và tiếng kêu gào của người thợ gặt đã lọt thấu đến tai Chúa các đạo binh. Các ngươi đã ăn uống say sưa ở đời này, lòng các ngươi đã tận hưởng khoái lạc trong ngày sát hại. Các ngươi đã lên án và giết chết người công chính, vì họ đã không kháng cự lại các ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 48, 14-15ab. 15cd-16. 17-18. 19-20","response":"Ðáp: Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ (Mt 5, 3).","verses":["Xướng: Ðó là đường lối của những người tự tín ngu si, chung cục của những ai thoả mãn về số phận. Chúng như đoàn chiên bị dẫn xuống âm ty, tử thần chăn nuôi và người hiền lương cai trị chúng.","Xướng: Trong giây phút chúng thay đổi hình dung, và địa ngục sẽ là gia cư của chúng. Nhưng Chúa sẽ cứu hồn tôi thoát nơi địa ngục, bởi lẽ rằng Người sẽ tiếp nhận tôi.","Xướng: Ðừng e ngại khi thấy ai giàu có, khi thấy tài sản nhà họ gia tăng: bởi lúc lâm chung, họ chẳng mang theo gì hết, và tài sản cũng không cùng họ chui xuống nấm mồ.","Xướng: Dầu khi còn sống họ ca tụng mình rằng: “Thiên hạ sẽ khen ngươi, vì ngươi biết khôn ngoan tự liệu”, họ sẽ tìm đến nơi đoàn tụ của tổ tiên, những người muôn thuở không được nhìn xem sự sáng."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 9, 40-49 (Gr 41-50)","info":"“Thà con mất một tay mà được vào cõi sống, còn hơn đủ cả hai tay mà phải vào hoả ngục”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ai cho các con (uống) một ly nước vì lẽ các con thuộc về Ðấng Kitô, thật Thầy bảo các con: kẻ đó sẽ không mất phần thưởng đâu. Nhưng nếu kẻ nào làm cớ vấp phạm cho một trong những kẻ bé mọn có lòng tin Thầy, thà buộc thớt cối xay vào cổ người ấy mà xô xuống biển thì hơn.\r“Nếu tay con nên dịp tội cho con, hãy chặt tay đó đi: thà con mất một tay mà được vào cõi sống, còn hơn là có đủ hai tay mà phải vào hoả ngục, trong lửa không hề tắt. Và nếu chân con làm dịp tội cho con, hãy chặt chân đó đi: thà con mất một chân mà được vào cõi sống, còn hơn là có đủ hai chân mà phải ném xuống hoả ngục. Và nếu mắt con làm dịp tội cho con, hãy móc mắt đó đi, thà con còn một mắt mà vào nước Thiên Chúa, còn hơn là có đủ hai mắt mà phải ném xuống hoả ngục, nơi mà dòi bọ rúc rỉa nó không hề chết và lửa không hề tắt. Vì mọi người sẽ bị ướp bằng lửa.\r“Muối là vật tốt, nhưng nếu muối ra lạt, các con lấy gì mà ướp nó cho mặn lại được? Các con hãy có muối ở trong mình và sống hoà thuận với nhau”.","end":"Ðó là lời Chúa"}},
+        "5075": {"firstReading":{"excerpt":"(Năm II) Gc 5, 9-12","info":"“Kìa quan toà đã đứng trước cửa”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em đừng kêu trách lẫn nhau, để khỏi bị lên án. Kìa quan toà đã đứng trước cửa. Anh em hãy học gương kiên nhẫn và chịu đựng trong gian khổ của các tiên tri, là những người đã nói nhân danh Chúa. Ðây chúng ta gọi những người đã kiên nhẫn đau khổ là có phúc. Anh em đã nghe nói đến sự kiên nhẫn của Gióp và đã thấy kết cuộc Chúa dành để cho ông, vì Chúa đầy lòng thương xót và lân mẫn.\rAnh em thân mến, trước hết, anh em đừng (có) thề, dầu viện trời, dầu viện đất hay viện một hình (vật gì) khác. Lời nói anh em phải là: Có rằng có, không rằng không, để anh em khỏi bị toà án luận phạt.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 102, 1-2. 3-4. 8-9. 11-12.","response":"Ðáp: Chúa là Ðấng từ bi và hay thương xót (c. 8a).","verses":["Xướng: Linh hồn tôi ơi, hãy chúc tụng Chúa, toàn thể con người tôi, hãy chúc tụng thánh danh Người. Linh hồn tôi ơi, hãy chúc tụng Chúa, và chớ khá quên mọi ân huệ của Người.","Xướng: Người đã tha thứ cho mọi điều sai lỗi, và chữa ngươi khỏi mọi tật nguyền. Người chuộc mạng ngươi khỏi chỗ vong thân, Người đội đầu ngươi bằng mão từ bi, ân sủng.","Xướng: Chúa là Ðấng từ bi và hay thương xót, chậm bất bình và hết sức khoan nhân. Người không chấp tranh triệt để, cũng không đời đời giữ thế căm hờn.","Xướng: Nhưng cũng như trời xanh cao vượt trên đất, lòng nhân Người còn siêu việt hơn thế trên kẻ kính sợ Người. Cũng như từ đông sang tây xa vời vợi, Người đã ném tội lỗi xa khỏi chúng ta."]},"alleluia":{"verse":" ","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 10, 1-12","info":"“Sự gì Thiên Chúa đã kết hợp, loài người không được phân rẽ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu đến địa hạt xứ Giuđêa và miền bên kia sông Giođan. Dân chúng lại tụ họp bên Người và Người lại dạy dỗ họ như thường lệ. Những người biệt phát đến gần và hỏi thử Người rằng: “Người ta có được phép ly dị vợ mình chăng?” Người đáp: “Môsê đã truyền cho các ông thế nào?” Họ thưa: “Môsê cho phép làm giấy ly dị và cho ly dị”. Bấy giờ Chúa Giêsu đáp lại: “Chính vì sự cứng lòng của các ông mà Môsê đã viết ra điều luật đó. Nhưng lúc khởi đầu cuộc sáng tạo, Thiên Chúa đã dựng nên một người nam và một người nữ. Bởi đó người nam sẽ lìa cha mẹ để luyến ái vợ mình, và hai người sẽ nên một huyết nhục. Vì thế, họ không còn là hai mà là một huyết nhục. Vậy sự gì Thiên Chúa đã kết hợp, loài người không thể phân rẽ”.\rVề đến nhà, các môn đệ lại hỏi Người về điểm đó. Và Người bảo các ông: “Ai bỏ vợ mình và lấy vợ khác, thì phạm tội ngoại tình đối với người vợ trước. Và người nữ bỏ chồng mà lấy chồng khác, thì cũng phạm tội ngoại tình”.","end":"Ðó là lời Chúa"}},
+        "5076": {"firstReading":{"excerpt":"(Năm II) Gc 5, 13-20","info":"“Lời cầu nguyện của người công chính rất linh nghiệm”.","title":"Trích thư của Thánh Giacôbê Tông đồ.","content":"Anh em thân mến, ai trong anh em buồn sầu, người đó hãy cầu nguyện. Còn ai hân hoan, người đó hãy ca hát thánh vịnh. Ai trong anh em ốm đau ư? Hãy mời các trưởng lão giáo hội đến, để các ngài cầu nguyện và nhân danh Chúa xức dầu cho người đó. Lời cầu nguyện phát xuất tự lòng tin sẽ cứu được bệnh nhân và Chúa sẽ cho người đó được bình phục; và nếu người đó mắc tội, thì sẽ được tha. Vậy anh em hãy thú tội với nhau và cầu nguyện cho nhau để anh em được cứu độ, vì lời cầu nguyện của người công chính rất linh nghiệm. Elia là con người đau khổ giống như chúng ta, thế mà ông kiên tâm cầu nguyện để trời đừng có mưa, và trời đã không mưa trong ba năm sáu tháng. Rồi ông lại cầu nguyện, và trời đổ mưa, đất trổ sinh hoa quả.\rAnh em thân mến, nếu ai trong anh em lạc đường chân lý, và có kẻ làm cho người đó trở lại, thì người ấy hãy biết rằng: kẻ làm cho người tội lỗi bỏ đường lầm lạc mà trở lại, sẽ cứu linh hồn người tội lỗi khỏi chết, và che lấp được nhiều tội lỗi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 140, 1-2. 3 và 8","response":"Ðáp: Xin cho lời con nguyện bay lên Chúa như hương trầm (c. 2a).","verses":["Xướng: Lạy Chúa, con kêu lên Chúa, xin mau chóng phù trợ con, nguyện nghe tiếng con, lúc con kêu cầu Chúa. Xin cho lời con nguyện bay lên Chúa như hương trầm, tay con giơ lên thành như của lễ lúc chiều hôm.","Xướng: Lạy Chúa, xin đặt quân gìn giữ miệng và lính canh gác gần cửa môi con. Ôi lạy Chúa, con mắt con hướng nhìn về Chúa, con tìm nương tựa nơi Ngài, xin đừng huỷ mạng sống con."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Lạy Cha là Chúa Tể trời đất, con xin ngợi khen Cha, vì Cha đã mạc khải mầu nhiệm Nước Trời cho những người bé mọn.- Alleluia."},"gospel":{"excerpt":"Mc 10, 13-16","info":"“Ai không đón nhận nước Thiên Chúa như trẻ nhỏ, sẽ không được vào nước đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, người ta đưa những trẻ nhỏ đến cùng Chúa Giêsu để Người đặt tay trên chúng, nhưng các môn đệ khiển trách họ. Thấy vậy, Chúa Giêsu bất bình và bảo các ông rằng: “Hãy để các trẻ nhỏ đến cùng Thầy, đừng ngăn cản chúng, vì nước Thiên Chúa là của những người giống như chúng. Thầy bảo thật các con: Ai không đón nhận nước Thiên Chúa như trẻ nhỏ, sẽ không được vào nước đó”. Rồi Người ôm chúng, đặt tay ban phép lành cho chúng.","end":"Ðó là lời Chúa"}},
+        "5081": {"firstReading":{"excerpt":"(Năm II) 1 Pr 1, 3-9","info":"“Anh em yêu mến Ðức Kitô, dù không thấy Ngài, và anh em tin Ngài, dù bây giờ anh em cũng không thấy Ngài”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Chúc tụng Thiên Chúa là Cha Ðức Giêsu Kitô, Chúa chúng ta, vì lòng từ bi cao cả, nhờ việc Ðức Giêsu Kitô từ cõi chết sống lại, Người đã tái sinh chúng ta để chúng ta hy vọng được sống, được hưởng gia nghiệp không hư nát, tinh tuyền, không suy tàn, dành để cho anh em trên trời. Anh em được bảo vệ trong quyền năng của Thiên Chúa, nhờ tin vào sự cứu độ đã được mạc khải trong thời sau hết.\rLúc đó anh em sẽ vui mừng, tuy bây giờ anh em phải buồn sầu một ít lâu, giữa trăm chiều thử thách, để đức tin anh em được tôi luyện nên quý hơn vàng được thử lửa bội phần, nhờ đó, anh em được ngợi khen, vinh quang và vinh dự, khi Ðức Giêsu Kitô hiện đến. Anh em yêu mến Ngài, dù không thấy Ngài, và anh em tin Ngài, dù bây giờ anh em cũng không thấy Ngài, bởi anh em tin, anh em sẽ được vui mừng vinh quang khôn tả, vì chắc rằng anh em đạt tới cứu cánh của đức tin là phần rỗi linh hồn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 5-6. 9 và 10c","response":"Ðáp: Cho tới muôn đời Chúa vẫn nhớ lời minh ước (c. 5b).","verses":["Hoặc đọc: Alleluia.","Xướng: Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi.","Xướng: Chúa đã ban lương thực cho những ai tôn sợ Người, cho tới muôn đời Người vẫn nhớ lời minh ước. Chúa tỏ cho dân Người thấy công cuộc quyền năng của Người, hầu ban cho họ được phần sản nghiệp của chư dân.","Xướng: Chúa đã gởi tặng ơn giải phóng cho dân Người, đã thiết lập lời minh ước muôn đời, danh Người thực là thánh thiện và khả uý. Lời khen ngợi Chúa còn tồn tại đến muôn đời."]},"alleluia":{"verse":" ","content":"alleluia! – Lạy Chúa, xin hãy phán vì tôi tớ Chúa đang nghe; Chúa có lời ban sự sống đời đời. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Đức Giê-su Ki-tô vốn giàu sang phú quý, nhưng đã trở nên khó nghèo, để lấy cái nghèo của mình mà làm cho anh em trở nên giàu có. – Alleluia."},"gospel":{"excerpt":"Mc 10, 17-27","info":"“Ngươi hãy đi bán tất cả gia tài rồi đến theo Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu vừa lên đường, thì một người chạy lại, quỳ gối xuống trước Người và hỏi: “Lạy Thầy nhân lành, tôi phải làm gì để được sống đời đời?” Chúa Giêsu trả lời: “Sao ngươi gọi Ta là nhân lành? Chẳng có ai là nhân lành, trừ một mình Thiên Chúa. Ngươi đã biết các giới răn: đừng ngoại tình, đừng giết người, đừng trộm cắp, đừng làm chứng gian, đừng lường gạt, hãy thảo kính cha mẹ”. Người ấy thưa: “Lạy Thầy, những điều đó tôi đã giữ từ thuở nhỏ”. Bấy giờ Chúa Giêsu chăm chú nhìn người ấy và đem lòng thương mà bảo rằng: “Ngươi chỉ còn thiếu một điều là ngươi hãy đi bán tất cả gia tài, đem bố thí cho người nghèo khó và ngươi sẽ có một kho báu trên trời, rồi đến theo Ta”. Nhưng người ấy nghe những lời đó, thì sụ nét mặt và buồn rầu bỏ đi, vì anh ta có nhiều của cải. Lúc đó Chúa Giêsu nhìn chung quanh, và bảo các môn đệ rằng: “Những người giàu có vào nước Thiên Chúa khó biết bao”. Các môn đệ kinh ngạc vì những lời đó. Nhưng Chúa Giêsu lại nói tiếp và bảo các ông rằng: “Hỡi các con, những kẻ cậy dựa vào tiền bạc, thật khó mà vào nước Thiên Chúa biết bao. Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào nước Thiên Chúa”.\rCác ông càng kinh ngạc hỏi nhau rằng: “Như vậy thì ai có thể được cứu độ?” Chúa Giêsu chăm chú nhìn các ông, và nói: “Ðối với loài người thì không thể được, nhưng không phải đối với Thiên Chúa, vì Thiên Chúa làm được mọi sự”.","end":"Ðó là lời Chúa"}},
+        "5082": {"firstReading":{"excerpt":"(Năm II) 1 Pr 1, 10-16","info":"“Các ngài tuyên báo các ân sủng dành cho anh em, vậy anh em hãy ăn ở tiết độ và hoàn toàn hy vọng”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, chính ơn cứu rỗi này mà các tiên tri đã nghiên cứu và tìm hiểu, khi các ngài tiên báo về ân sủng dành cho anh em: các ngài đã tìm xem coi trong thời gian nào hoặc hoàn cảnh nào, Thần Trí của Ðức Kitô chỉ cho các ngài biết: phải tiên báo những khổ nạn và những vinh quang kế tiếp dành cho Ðức Kitô. Các ngài được mạc khải cho biết rằng các ngài không phải phục vụ chính mình, mà là cho anh em trong những gì đã được loan truyền cho anh em hiện nay, do những kẻ rao giảng Tin Mừng với sự trợ giúp của Thánh Thần từ trời được sai xuống, Ðấng mà các thiên thần cũng ước ao nghiêng mình chiêm bái.\rVì thế, lòng trí anh em hãy tỉnh thức, hãy sống tiết độ, và hoàn toàn hy vọng vào ân sủng sẽ ban cho anh em, trong sự mạc khải Ðức Giêsu Kitô. Anh em hãy sống như những người con biết vâng phục, đừng chạy theo những đam mê lúc trước là thời kỳ anh em còn mê muội; một hãy noi gương Ðấng Thánh đã kêu gọi anh em; và chính anh em hãy ăn ở thánh thiện trong đời sống, Vì có lời Kinh Thánh chép: “Hãy sống thánh thiện, vì Ta là Ðấng Thánh”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3c-4","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người (c. 2a).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân Người tỏ rõ đức công minh, Người đã nhớ lại lòng nhân hậu và trung thành, để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca."]},"alleluia":{"verse":" ","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mc 10, 28-31","info":"“Ngay ở đời này, lúc bị bắt bớ, các con lãnh được gấp trăm, còn đời sau các con sẽ được sự sống vĩnh cửu”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Phêrô thưa cùng Chúa Giêsu rằng: “Ðây chúng con đã bỏ mọi sự mà theo Thầy?” Chúa Giêsu trả lời rằng: “Thầy bảo thật các con, chẳng ai bỏ nhà cửa, anh em, chị em, cha mẹ, con cái, đồng ruộng vì Thầy và vì Phúc Âm, mà ngay bây giờ lại không được gấp trăm ở đời này về nhà cửa, anh em, chị em, cha mẹ, con cái và ruộng nương cùng với sự bắt bớ, và ở đời sau được sự sống vĩnh cửu. Nhưng có nhiều kẻ trước nhất sẽ nên rốt hết, và những kẻ rốt hết sẽ nên trước nhất”.","end":"Ðó là lời Chúa"}},
+        "5083": {"firstReading":{"excerpt":"(Năm II) 1 Pr 1, 18-25","info":"“Anh em được cứu độ bằng máu châu báu của Ðức Kitô, Con Chiên tinh tuyền”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, anh em biết rằng không phải bằng vàng bạc hay hư nát mà anh em đã được cứu chuộc khỏi nếp sống phù phiếm tổ truyền, nhưng bằng máu châu báu của Ðức Kitô, Con Chiên tinh tuyền, không tì ố. Người đã được tiền định trước khi tác thành vũ trụ và được tỏ bày trong thời sau hết vì anh em. Nhờ Người, anh em tin vào Thiên Chúa, Ðấng làm cho Người sống lại từ cõi chết, và ban vinh quang cho Người để anh em đặt cả lòng tin và niềm hy vọng nơi Thiên Chúa.\rKhi anh em thánh hoá linh hồn anh em trong sự vâng phục đức ái, trong tình bác ái huynh đệ, anh em hãy thật lòng yêu mến nhau với một tâm hồn đơn sơ. Anh em đã được tái sinh không phải do hạt giống hay hư nát, mà là do hạt giống không hư nát, nhờ lời Thiên Chúa hằng sống và tồn tại muôn đời. Vì chưng xác phàm chẳng qua là cỏ rác và tất cả vinh quang của nó ví như hoa cỏ: cỏ thì khô cháy và hoa rũ tàn, còn lời Chúa thì tồn tại muôn đời. Ðó là Tin Mừng đã rao giảng cho anh em.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 147, 12-13. 14-15. 19-20.","response":"Ðáp: Giêrusalem hỡi, hãy ngợi khen Chúa (c. 12a).","verses":["Xướng: Giêrusalem hỡi, hãy ngợi khen Chúa. Hãy ngợi khen Thiên Chúa của ngươi, hỡi Sion! vì Người giữ chặt các then cửa ngươi, Người chúc phúc cho con cái ngươi trong thành nội.","Xướng: Người đã sai lời Người xuống cõi trần ai, và lời Người lanh chai chạy rảo. Người khiến tuyết rơi như thể lông cừu, Người gieo rắc sương đông như tro bụi trắng.","Xướng: Người đã loan truyền lời Người cho Giacóp, những thánh chỉ và huấn lệnh Người cho Israel. Người đã không làm cho dân tộc nào như thế, Người đã không công bố cho họ các huấn lệnh của Người."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Con Người đến để phục vụ và hiến mạng sống làm giá chuộc muôn người. – Alleluia."},"gospel":{"excerpt":"Mc 10, 32-45","info":"“Giờ đây chúng ta lên Giêrusalem và Con Người sẽ bị nộp”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, các môn đệ và Chúa Giêsu lên đường đi Giêrusalem, Chúa Giêsu dẫn đầu đi trước họ, và các ông hết sức bỡ ngỡ, những người theo sau thì sợ hãi. Người gọi mười hai ông lại gần và nói cho các ông biết những gì sẽ xảy đến cho Người: “Giờ đây chúng ta lên Giêrusalem và Con Người sẽ bị nộp cho các thượng tế, các luật sĩ và các kỳ lão. Họ sẽ kết án tử hình Người và nộp Người cho dân ngoại. Họ sẽ nhạo cười Người, phỉ nhổ vào Người, đánh đòn và giết Người, và ngày thứ ba Người sẽ sống lại”.\rGiacôbê và Gioan, con ông Giêbêđê, đến gần Người và thưa Người rằng: “Lạy Thầy, chúng con muốn Thầy ban cho chúng con điều chúng con sắp xin Thầy”. Người đáp: “Các con muốn Thầy làm gì cho các con?” Các ông thưa: “Xin cho chúng con một người ngồi bên hữu, một người ngồi bên tả Thầy trong vinh quang của Thầy”. Chúa Giêsu bảo: “Các con không biết các con xin gì. Các con có thể uống chén Thầy sắp uống và chịu cùng một phép rửa Thầy sắp chịu không?” Các ông đáp: “Thưa được”. Chúa Giêsu bảo: “Chén Thầy uống, các con cũng sẽ uống, và phép rửa Thầy sắp chịu, các con cũng sẽ chịu. Còn việc ngồi bên hữu hay bên tả Thầy, thì không thuộc quyền Thầy ban, nhưng là dành cho những ai đã được chỉ định”. Mười môn đệ khác nghe chuyện đó liền bực tức với Giacôbê và Gioan. Chúa Giêsu gọi các ông lại gần mà bảo: “Các con biết rằng những người được coi là lãnh tụ các nước thì sai khiến dân chúng như ông chủ, và những người làm lớn thì lấy uy quyền mà trị dân. Còn các con không như thế. Trái lại, ai trong các con muốn làm lớn, thì hãy tự làm đầy tớ anh em. Và ai muốn thành người cầm đầu trong các con, thì hãy tự làm nô lệ cho mọi người. Vì chính Con Người cũng không đến để được phục vụ, nhưng để phục vụ và ban mạng sống mình làm giá cứu chuộc cho nhiều người”.","end":"Ðó là lời Chúa"}},
+        "5084": {"firstReading":{"excerpt":"(Năm II) 1 Pr 2, 2-5. 9-12","info":"“Anh em là dòng giống được tuyển chọn, là tư tế vương giả, là dân tộc thánh thiện để rao giảng Ðấng đã gọi anh em”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, như trẻ sơ sinh, anh em hãy thèm khát sữa thiêng liêng trong sạch, để nhờ đó, anh em được lớn lên trong ơn cứu độ, nếu anh em nếm biết Chúa ngọt ngào dường nào.\rAnh em hãy tiến đến viên đá sống động bị người ta loại bỏ, nhưng được Chúa tuyển chọn và tôn vinh. Anh em như những viên đá sống động, hãy để Chúa xây dựng anh em nên toà nhà thiêng liêng, nên chức vụ linh mục thánh, để hiến dâng những của lễ thiêng liêng xứng đáng được Thiên Chúa chấp nhận nhờ Ðức Giêsu Kitô.\rAnh em là dòng giống được tuyển chọn, là hàng tư tế vương giả, là dân tộc thánh thiện, dân riêng của Chúa, để rao giảng quyền năng của Ðấng đã gọi anh em ra khỏi tối tăm mà vào ánh sáng kỳ diệu của Người. Anh em xưa kia không phải là dân của Thiên Chúa, nhưng nay là dân của Người; xưa kia anh em không được xót thương, nhưng nay được thương xót.\rAnh em thân mến, tôi khuyên anh em: như những ngoại kiều, và khách trọ, hãy xa lánh những đam mê xác thịt hằng chống lại linh hồn. Anh em hãy sống lương thiện giữa dân ngoại, để dù người ta vu khống anh em như những người gian phi, nhưng khi thấy được việc lành của anh em, họ phải ngợi khen Thiên Chúa trong ngày Người đến viếng thăm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","response":"Ðáp: Hãy vào trước thiên nhan với lòng hân hoan khoái trá (c. 2c).","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Thiên Chúa, hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan với lòng hân hoan khoái trá.","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người.","Xướng: Ta là dân tộc, là đoàn chiên Chúa chăn nuôi, hãy vào trụ quan nhà Người với lời khen ngợi, vào hành lang với khúc ca vui, hãy tán dương, hãy chúc tụng danh Người.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn muôn thế hệ."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mc 10, 46-52","info":"“Lạy Thầy, xin cho tôi được thấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu ra khỏi thành Giêricô cùng với các môn đệ, và một đám đông, thì có con ông Timê tên là Bartimê, một người mù ăn xin đang ngồi ở vệ đường. Khi anh ta nghe biết đó là Chúa Giêsu Nagiarét, liền kêu lên rằng: “Hỡi ông Giêsu con vua Ðavít, xin thương xót tôi”. Và nhiều người mắng anh bảo im đi, nhưng anh càng kêu to hơn: “Hỡi con vua Ðavít , xin thương xót tôi”.\rChúa Giêsu dừng lại và truyền gọi anh đến. Người ta gọi người mù và bảo anh: “Hãy vững tâm đứng dậy, Người gọi anh”. Anh ta liệng áo choàng, đứng dậy, đến cùng Chúa Giêsu. Bấy giờ Chúa Giêsu bảo rằng: “Anh muốn Ta làm gì cho anh”? Người mù thưa: “Lạy Thầy, xin cho tôi được thấy”. Chúa Giêsu đáp: “Ðược, đức tin của anh đã chữa anh”. Tức thì anh ta thấy được và đi theo Người.","end":"Ðó là lời Chúa"}},
+        "5085": {"firstReading":{"excerpt":"(Năm II) 1 Pr 4, 7-13","info":"“Anh em hãy nên những kẻ phân phát những ơn Chúa”.","title":"Trích thư thứ nhất của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, ngày cùng tận của vạn vật đã gần rồi. Vậy anh em hãy khôn ngoan và tỉnh thức cầu nguyện. Tiên vàn, anh em hãy luôn luôn yêu thương nhau, vì tình thương che lấp muôn vàn tội lỗi. Anh em hãy đón tiếp khách trọ và đừng kêu ca. Tuỳ theo ơn đã lãnh nhận, mỗi người hãy phục vụ lẫn nhau như những người phân phát ân sủng muôn hình vạn trạng của Thiên Chúa. Nếu ai rao giảng, thì hãy kể đó là lời của Thiên Chúa; nếu ai phục vụ, thì hãy kể đó là do sức mạnh Thiên Chúa ban cho, ngõ hầu Thiên Chúa được tôn vinh nơi vạn vật nhờ Ðức Giêsu Kitô, Ðấng vinh hiển và uy quyền đến muôn đời. Amen.\rAnh em thân mến, chớ có kinh dị, vì ngọn lửa đã bốc lên nơi anh em để thử luyện anh em, như thể một việc mới lạ xảy đến cho anh em. Nhưng được thông phần vào cuộc khổ nạn của Ðức Kitô, anh em hãy vui mừng, để khi vinh quang của Người được tỏ hiện, anh em sẽ được vui mừng hoan hỉ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 10. 11-12. 13","response":"Ðáp: Chúa ngự tới cai quản địa cầu (c. 13ab).","verses":["Xướng: Hãy công bố giữa chư dân rằng: Thiên Chúa ngự trị. Người dựng vững địa cầu cho nó khỏi lung lay, Người cai quản chư dân theo đường đoan chính.","Xướng: Trời xanh hãy vui mừng và địa cầu hãy hân hoan, biển khơi và muôn vật trong đó hãy reo lên, đồng nội và muôn loài trong đó hãy mừng vui. Các rừng cây hãy vui tươi hớn hở.","Xướng: Trước nhan Thiên Chúa: vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người sẽ cai quản địa cầu cách công minh và chư dân cách chân thành."]},"alleluia":{"verse":"Dt 4, 12","content":"alleluia! – Lời Thiên Chúa là lời hằng sống, linh nghiệm, phơi bày tư tưởng và ý muốn của tâm hồn. – Alleluia."},"gospel":{"excerpt":"Mc 11, 11-26","info":"“Nhà Ta sẽ được gọi là nhà cầu nguyện của mọi dân tộc. Các ngươi hãy tin vào Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"(Khi nghe dân chúng hoan hô), Chúa Giêsu vào thành Giê-rusalem, lên đền thờ và sau khi đã đưa mắt quan sát mọi sự, và lúc trời đã xế chiều, Người ra về Bêtania cùng với nhóm mười hai. Hôm sau, khi thầy trò rời bỏ Bêtania, Người thấy đói. Và khi thấy ở đàng xa có một cây vả nhiều lá, Người đến xem coi có trái nào không. Nhưng khi lại gần, Người chỉ thấy có lá thôi, vì không phải là mùa có trái. Người phán bảo cây vả rằng: “Cho đến muôn đời sẽ không còn ai ăn trái của mi nữa”. Và các môn đệ đã nghe Người nói.\rCác ngài đến Giêrusalem. Và khi vào đền thờ, Chúa liền đuổi những người mua bán ở đó. Người xô đổ bàn của những người đổi tiền và ghế của những người bán chim câu. Người không để cho ai mang đồ vật đi ngang qua đền thờ. Người dạy bảo họ: “Nào chẳng có lời chép rằng: “Nhà Ta sẽ được gọi là nhà cầu nguyện của mọi dận tộc ư? Thế mà các ngươi đã biến thành hang trộm cướp”. Ðiều đó đến tai các trưởng tế và luật sĩ, họ liền tìm cách giết Người, vì họ sợ Người, bởi tất cả dân chúng say mê giáo lý của Người. Chiều đến, Người ra khỏi thành.\rSáng hôm sau, khi đi ngang qua, các ngài trông thấy cây vả đã chết khô tận rễ. Phêrô nhớ lại và thưa Chúa rằng: “Lạy Thầy, hãy coi, cây vả Thầy nguyền rủa đã chết khô rồi”. Chúa Giêsu đáp: “Hãy tin vào Thiên Chúa. Thầy bảo thật các con, nếu ai bảo núi kia: “Hãy dời đi và gieo mình xuống biển”, mà trong lòng không hồ nghi, nhưng tin rằng điều mình nói sẽ xảy ra, thì người ấy sẽ được như ý. Vì vậy Thầy bảo các con: Tất cả những gì các con cầu xin, hãy tin rằng các con sẽ được, thì các con sẽ được điều đó. Và khi các con đang đứng cầu nguyện, nếu các con có điều gì bất thuận với ai, hãy tha thứ để Cha các con trên trời cũng tha cho các con. Nếu các con không tha thứ, thì Cha các con trên trời cũng không tha tội cho các con”.","end":"Ðó là lời Chúa"}},
+        "5086": {"firstReading":{"excerpt":"(Năm II) Gđ 17, 20b-25","info":"“Thiên Chúa có quyền năng bảo tồn anh em vô tội và đặt anh em tinh toàn trước thiên nhan sáng láng của Người”.","title":"Trích thư của Thánh Giuđa Tông đồ.","content":"Anh em thân mến, anh em hãy nhớ lại những điều do các tông đồ đã loan tin trước về Ðức Giêsu Kitô, Chúa chúng ta. Anh em tự xây dựng trên đức tin rất thánh thiện của anh em và nguyện cầu bởi ơn Thánh Thần, anh em hãy tự kiên trì trong tình yêu Thiên Chúa, hầu mong đợi lòng thương xót của Ðức Giêsu Kitô, Chúa chúng ta, cho được sống đời đời. Anh em hãy thuyết phục những người này, họ là kẻ hay phân vân. Hãy cứu vớt những người kia, lôi kéo họ ra khỏi lửa. Còn như đối với hạng người khác nữa, anh em hãy tỏ lòng thương, đồng thời cũng phải lo sợ, gớm ghét cả đến tấm áo dài đã bị xác thịt làm nhơ bẩn.\rNguyện cho Ðấng có quyền năng / bảo tồn anh em vô tội và đặt anh em tinh toàn trước thiên nhan sáng láng của Người một cách hân hoan, trong ngày Ðức Giêsu Kitô Chúa chúng ta trở lại; nguyện cho Thiên Chúa duy nhất là Ðấng cứu độ chúng ta nhờ Ðức Giêsu Kitô, Chúa chúng ta, được vinh quang, oai nghiêm, dũng lực và quyền năng, từ trước muôn thuở, bây giờ và cho đến muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 62, 2. 3-4. 5-6","response":"Ðáp: Lạy Chúa, Chúa là Thiên Chúa của con, linh hồn con khao khát Chúa (c. 2b).","verses":["Xướng: Ôi lạy Chúa, Chúa là Thiên Chúa của con, con thao thức chạy kiếm Ngài. Linh hồn con khát khao, thể xác con mong đợi Chúa con, như đất héo khô, khát mong mà không gặp nước.","Xướng: Con cũng mong được chiêm ngưỡng thiên nhan ở thánh đài, để nhìn thấy quyền năng và vinh quang của Chúa. Vì ân tình của Ngài đáng chuộng hơn mạng sống, miệng con sẽ xướng ca ngợi khen Ngài.","Xướng: Con sẽ chúc tụng Ngài như thế trọn đời con, con sẽ giơ tay kêu cầu danh Chúa. Hồn con được no thoả dường như bởi mỹ vị cao lương, và miệng con ca ngợi Chúa với cặp môi hoan hỉ."]},"alleluia":{"verse":"Gc 1, 18","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia."},"gospel":{"excerpt":"Mc 11, 27-33","info":"“Ông lấy quyền nào làm sự đó?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu và các môn đệ lại đến Giêrusalem. Và trong khi Chúa Giêsu đi lại trong đền thờ, thì những trưởng tế, luật sĩ và kỳ lão đến hỏi Người: “Ông lấy quyền nào mà làm sự đó? Và ai đã ban quyền cho ông để làm như vậy?” Chúa Giêsu đáp: “Tôi sẽ hỏi các ông một câu thôi, hãy trả lời cho Tôi thì Tôi sẽ bảo cho các ông hay Tôi lấy quyền nào mà làm việc đó: Phép rửa của Gioan bởi trời hay bởi người ta? Hãy trả lời Tôi đi”. Họ liền bàn riêng với nhau rằng: “Nếu chúng ta trả lời “Bởi trời”, ông ấy sẽ nói: “Vậy sao các ông không tin Người?” Nhưng nếu chúng ta nói “Bởi người ta”, chúng ta sợ dân chúng, vì mọi người đều coi Gioan thật là một tiên tri. Vậy họ thưa cùng Chúa Giêsu rằng: “Chúng tôi không biết”. Và Chúa Giêsu bảo họ: “Vậy thì tôi cũng không nói cho các ông biết bởi quyền phép nào Tôi làm sự đó”.","end":"Ðó là lời Chúa"}},
+        "5091": {"firstReading":{"excerpt":"(Năm II) 2 Pr 1, 1-7","info":"“Người ban cho anh em những lời hứa quý báu, để nhờ đó anh em được thông dự vào bản tính Thiên Chúa”.","title":"Khởi đầu thư thứ hai của Thánh Phêrô Tông đồ.","content":"Tôi là Simon Phêrô, tôi tớ và tông đồ của Ðức Giêsu Kitô, kính gửi những người thừa hưởng một đức tin quý giá ngang hàng chúng tôi, nhờ sự công chính của Ðức Giêsu Kitô, là Thiên Chúa và là Cứu Chúa của chúng ta.? Nguyện (chúc) ân sủng và bình an đổ xuống tràn đầy cho anh em, trong ơn nhận biết Thiên Chúa và Ðức Giêsu Kitô, Chúa chúng ta!\rBởi chưng quyền năng linh thiêng của Người đã ban cho anh em mọi điều cần ích cho sự sống và lòng đạo đức, nhờ sự nhận biết Ðấng dùng vinh quang và quyền năng kêu gọi chúng ta; nhờ Người mà Thiên Chúa ban cho chúng ta những lời hứa cao trọng và quý báu, để nhờ đó, anh em được thông dự vào bản tính Thiên Chúa, thoát khỏi cảnh đồi bại dục tình thế tục.\rPhần anh em, hãy gia tăng tất cả nhiệt thành và lo sao để nhờ lòng tin mà được thêm sức mạnh, nhờ sức mạnh được thêm thông biết, nhờ thông biết được thêm tiết độ, nhờ tiết độ được thêm kiên nhẫn, nhờ kiên nhẫn được thêm đạo đức, nhờ đạo đức được thêm tình huynh đệ, nhờ tình huynh đệ được thêm đức ái.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 90, 1-2. 14-15ab. 15c-16","response":"Ðáp: Lạy Chúa con, con tin cậy ở Ngài (x. c. 2b).","verses":["Xướng: Bạn sống trong sự che chở của Ðấng Tối Cao; bạn cư ngụ dưới bóng của Ðấng Toàn Năng. Hãy thưa cùng Chúa: “Chúa là chiến lũy, là nơi con nương náu, lạy Chúa con, con tin cậy ở Ngài”.","Xướng: Vì người yêu mến Ta, Ta sẽ giải thoát cho, Ta sẽ che chở người bởi lẽ người nhìn biết danh Ta. Người sẽ kêu cầu Ta và Ta sẽ nhậm lời, Ta sẽ ở cùng người trong lúc gian truân.","Xướng: Ta sẽ cứu gỡ và làm vinh dự cho người. Ta sẽ làm cho người thoả mãn cuộc đời trường thọ, và cho người nhìn thấy ơn cứu độ của Ta."]},"alleluia":{"verse":" ","content":"alleluia! – Anh em hãy khiêm nhu nhận lãnh lời giao ước trong lòng, lời đó có thể cứu thoát linh hồn anh em. – Alleluia.  (Hoặc đọc: ) Alleluia, alleluia! Lạy Chúa Giê-su Ki-tô là Vị Chứng Nhân trung thành, là trưởng tử trong số những người từ cõi chết chỗi dậy, Chúa đã yêu mến chúng con, và đã lấy máu mình rửa sạch tội lỗi chúng con. Alleluia."},"gospel":{"excerpt":"Mc 12, 1-12","info":"“Chúng bắt cậu con trai giết đi và quăng xác ra vườn nho”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu dùng dụ ngôn mà nói với các thượng tế, luật sĩ và kỳ lão rằng: “Có người trồng một vườn nho, rào dậu xung quanh, đào bồn đạp nho và xây một tháp, đoạn cho tá điền thuê vườn nho và trẩy đi phương xa.\r“Ðến kỳ hạn, ông sai đầy tớ đến với tá điền thu phần hoa lợi vườn nho. Nhưng những người này bắt tên đầy tớ đánh đập và đuổi về tay không. Ông lại sai đầy tớ khác đến với họ. Người này cũng bị chúng đánh vào đầu và làm sỉ nhục. Nhưng người thứ ba thì bị chúng giết. Ông còn sai nhiều người khác nữa, nhưng kẻ thì bị chúng đánh đập, người thì bị chúng giết chết.\r“Ông chỉ còn lại một cậu con trai yêu quý cuối cùng, ông cũng sai đến với họ, (vì) ông nghĩ rằng: “Chúng sẽ kiêng nể con trai ta”. Nhưng những tá điền nói với nhau rằng: “Người thừa tự đây rồi, nào ta hãy giết nó và cơ nghiệp sẽ về ta”. Ðoạn chúng bắt cậu giết đi và quăng xác ra ngoài vườn nho. Chủ vườn nho sẽ xử thế nào? Ông sẽ đến tiêu diệt bọn tá điền và giao vườn nho cho người khác. Các ông đã chẳng đọc đoạn Thánh Kinh này sao: “Tảng đá những người thợ xây loại ra, trở thành đá góc tường. Ðó là việc Chúa làm, thật lạ lùng trước mắt chúng ta”.\rHọ tìm bắt Người, nhưng họ lại sợ dân chúng. Vì họ đã quá hiểu Người nói dụ ngôn đó ám chỉ họ. Rồi họ bỏ Người mà đi.","end":"Ðó là lời Chúa"}},
+        "5092": {"firstReading":{"excerpt":"(Năm II) 2 Pr 3, 12-15a. 17-18","info":"“Chúng ta mong đợi trời mới đất mới”.","title":"Trích thư thứ hai của Thánh Phêrô Tông đồ.","content":"Anh em thân mến, anh em hãy mong chờ và hối thúc ngày Chúa đến, ngày mà các tầng trời bốc cháy tiêu tan, và ngũ hành bị thiêu rụi. Nhưng theo lời Người hứa, chúng ta mong đợi trời mới đất mới, trong đó công lý sẽ ngự trị.\rAnh em thân mến, bởi thế, trong lúc chờ đợi, (hãy gắng sao nên vô tì tích trước nhan Người, trong bình an). Và anh em hãy coi lòng khoan dung của Thiên Chúa như là phương thế cứu rỗi.\rVậy, anh em thân mến, được biết trước như thế, anh em hãy giữ mình, kẻo bị lôi cuốn theo sự lầm lạc của những kẻ vô luân mà sa đoạ, mất lòng trung kiên của anh em. Anh em hãy lớn lên trong ân sủng và trong sự hiểu biết Ðức Giêsu Kitô, Ðấng Cứu Rỗi và là Chúa chúng ta. Nguyện (chúc) vinh quang cho Người bây giờ và đến muôn đời. Amen!","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 2. 3-4. 10. 14 và 16","response":"Ðáp: Thân lạy Chúa, Chúa là chỗ chúng con dung thân, từ đời nọ trải qua đời kia","verses":["Xướng: Ôi Thiên Chúa, trước khi núi non sinh đẻ, trước khi địa cầu và vũ trụ nở ra, tự thuở này qua thuở kia, vẫn có Ngài.","Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Ngài phán: “Hãy trở về gốc, hỡi con người!”","Xướng: Thọ kỳ của chúng con số niên bảy chục, nếu khoẻ mạnh ra thì được tám mươi, nhưng đa số là những năm lầm than và phù phiếm, bởi chúng mau qua và chúng con cũng bay theo.","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan trọn đời sống chúng con. Xin cho các bầy tôi nhìn thấy sự nghiệp của Chúa, và cho con cháu họ được thấy vinh quang Ngài."]},"alleluia":{"verse":" ","content":"alleluia! – Lời Chúa tồn tại muôn đời, đó là lời Tin Mừng đã rao giảng cho anh em. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Xin Thân Phụ Đức Giê-su Ki-tô, Chúa chúng ta, soi trí mở lòng cho chúng ta thấy rỗ, đâu là niềm hy vọng, mà ơn Người kêu gọi cho chúng ta. Alleluia."},"gospel":{"excerpt":"Mc 12, 13-17","info":"“Các ông hãy trả cho Cêsarê cái gì thuộc về Cêsarê, và trả cho Thiên Chúa cái gì thuộc về Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, người ta sai mấy người thuộc nhóm biệt phái và đảng Hêrôđê đến Chúa Giêsu để lập mưu bắt lỗi Người trong lời nói. Họ đến thưa Người rằng: “Thưa Thầy, chúng tôi biết Thầy là người chân thật không vị nể ai, vì Thầy chẳng xem diện mạo, một giảng dạy đường lối Thiên Chúa cách rất ngay thẳng. Vậy chúng tôi có nên nộp thuế cho Cêsarê không? Chúng tôi phải nộp hay là không?” Nhưng Người biết họ giả hình, nên bảo rằng: “Sao các ông lại thử Ta? Hãy đưa Ta xem một đồng tiền”. Họ đưa cho Người một đồng tiền và Người hỏi: “Hình và ký hiệu này là của ai?” Họ thưa: “Của Cêsarê”. Người liền bảo họ: “Vậy thì của Cêsarê, hãy trả cho Cêsarê; của Thiên Chúa, hãy trả cho Thiên Chúa”. Và họ rất đỗi kinh ngạc về Người.","end":"Ðó là lời Chúa"}},
+        "5093": {"firstReading":{"excerpt":"(Năm II) 2 Tm 1, 1-3. 6-12","info":"“Con hãy làm sống lại ơn Thiên Chúa trong con qua việc đặt tay của cha”.","title":"Khởi đầu thư thứ hai của Thánh Phaolô Tông đồ gửi cho Timôthêu.","content":"Phaolô, tông đồ của Ðức Giêsu Kitô, bởi ý định của Thiên Chúa, thể theo lời hứa ban sự sống trong Ðức Giêsu Kitô, gởi lời hỏi thăm Timôthêu, người con yêu dấu. Nguyện chúc ân sủng, lòng từ bi và bình an của Thiên Chúa Cha và Ðức Giêsu Kitô, Chúa chúng ta, ở cùng con. Cha cảm tạ ơn Thiên Chúa, Ðấng cha phụng thờ như tổ tiên cha đã làm, với một lương tâm trong sạch, ngày đêm cha luôn luôn nhớ đến con, khi cha cầu nguyện. Vì thế, cha khuyên con hãy làm sống lại ơn Thiên Chúa đã ban cho con do việc đặt tay của cha. Vì chưng, Thiên Chúa không ban cho chúng ta một thần trí nhát sợ, mà là thần trí dũng mạnh, bác ái và tiết độ. Vậy con, con chớ hổ thẹn làm chứng cho Chúa chúng ta, và cho cha nữa, là tù nhân của Người, nhưng con hãy đồng lao cộng tác với cha vì Tin Mừng, nhờ quyền năng của Thiên Chúa, Ðấng đã giải thoát và kêu mời chúng ta bằng ơn thiên triệu thánh của Người, không phải do công việc chúng ta làm, mà là do sự dự định và ân sủng đã ban cho chúng ta từ trước muôn đời trong Ðức Giêsu Kitô, nhưng bây giờ mới tỏ bày bằng sự xuất hiện của Ðức Giêsu Kitô, Ðấng Cứu Chuộc chúng ta. Người đã dùng Tin Mừng tiêu diệt sự chết và chiếu soi sự sống, và sự không hư nát được tỏ rạng. Cha đã được đặt làm kẻ rao giảng, làm tông đồ và làm thầy dạy các dân ngoại. Cũng do đó, cha phải chịu những thử thách này, nhưng cha không hổ thẹn, vì cha biết cha tin vào Ðấng nào, và cha chắc chắn rằng Người có quyền phép gìn giữ kho tàng của cha cho đến ngày đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 122, 1-2a. 2bcd","response":"Ðáp: Lạy Chúa, con ngước mắt nhìn lên Chúa (c. 1a).","verses":["Xướng: Con ngước mắt nhìn lên Chúa, Ngài ngự trị ở cõi cao xanh. Kìa, như mắt những người nam tôi tớ nhìn vào tay các vị chủ ông. – Ðáp.","Xướng: Như mắt của những người tỳ nữ nhìn vào tay các vị chủ bà, mắt chúng tôi cũng nhìn vào Chúa là Thiên Chúa của chúng tôi như thế, cho tới khi Ngài thương xót chúng tôi. – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Chính Thầy là sự sống lại và là sự sống; ai tin vào Thầy, sẽ không bap giờ phải chết. Alleluia."},"gospel":{"excerpt":"Mc 12, 18-27","info":"“Người không phải là Thiên Chúa kẻ chết, mà là Thiên Chúa kẻ sống”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, có ít người phái Sađốc đến cùng Chúa Giêsu; phái này không tin có sự sống lại và họ hỏi Người rằng: “Thưa Thầy, luật Môsê đã truyền cho chúng tôi thế này: Nếu ai có anh em chết đi, để lại một người vợ không con, thì hãy cưới lấy người vợ goá đó để gây dòng dõi cho anh em mình. Vậy có bảy anh em: người thứ nhất cưới vợ rồi chết không con. Người thứ hai lấy người vợ goá và cũng chết không con, và người thứ ba cũng vậy, và cả bảy người không ai có con. Sau cùng người đàn bà ấy cũng chết. Vậy ngày sống lại, khi họ cùng sống lại, thì người đàn bà đó sẽ là vợ của người nào? Vì cả bảy anh em đã cưới người đó làm vợ”. Chúa Giêsu trả lời rằng: “Các ông không hiểu biết Kinh Thánh, cũng chẳng hiểu biết quyền phép của Thiên Chúa, như vậy các ông chẳng lầm lắm sao? Bởi khi người chết sống lại, thì không lấy vợ lấy chồng, nhưng sống như các thiên thần ở trên trời. Còn về sự kẻ chết sống lại, nào các ông đã chẳng đọc trong sách Môsê chỗ nói về bụi gai, lời Thiên Chúa phán cùng Môsê rằng: “Ta là Chúa Abraham, Chúa Isaac và Chúa Giacóp”. Người không phải là Thiên Chúa kẻ chết, mà là Thiên Chúa kẻ sống. Vậy các ông thật lầm lạc”.","end":"Ðó là lời Chúa"}},
+        "5094": {"firstReading":{"excerpt":"(Năm II) 2 Tm 2, 8-15","info":"“Lời của Thiên Chúa không bị xiềng xích đâu, Nếu chúng ta cùng chết với Người, thì chúng ta sẽ cùng sống lại với Người”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gởi cho Ti-mô-thêu.","content":"Con thân mến, con hãy nhớ rằng Chúa Giêsu Kitô bởi dòng dõi Ðavít đã từ cõi chết sống lại, theo như Tin Mừng cha rao giảng. Vì Tin Mừng đó mà cha phải đau khổ đến phải chịu xiềng xích như một kẻ gian ác, nhưng lời của Thiên Chúa đâu có bị xiềng xích. Vì thế, cha cam chịu mọi sự vì những kẻ được tuyển chọn, để họ được hưởng ơn cứu độ cùng với vinh quang trên trời trong Ðức Giêsu Kitô.\rÐây cha nói thật: Nếu chúng ta cùng chết với Người, thì chúng ta cùng sống lại với Người. Nếu chúng ta kiên tâm chịu đựng, chúng ta sẽ cùng thống trị với Người. Nếu chúng ta chối bỏ Người, thì Người cũng sẽ chối bỏ chúng ta. Nếu chúng ta không tin Người, Người vẫn trung thành, vì Người không thể chối bỏ chính mình Người.\rCon hãy ghi nhớ những điều đó khi làm chứng trước mặt Chúa. Con chớ tranh luận: vì cái đó không ích lợi gì cả, chỉ làm hại người nghe mà thôi. Con hãy cố gắng đến trước mặt Chúa như một người đã chịu thử thách, như một công nhân không bị khiển trách, như người ngay thẳng rao giảng lời chân lý.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 24, 4bc-5ab. 8-9. 10 và 14.","response":"Ðáp: Lạy Chúa, xin chỉ cho con đường đi của Chúa (c. 4b).","verses":["Xướng: Lạy Chúa, xin chỉ cho con đường đi của Chúa, xin dạy bảo con về lối bước của Ngài. xin hướng dẫn con trong chân lý và dạy bảo con, vì Chúa là Thiên Chúa cứu độ con.","Xướng: Chúa nhân hậu và công minh, vì thế Ngài sẽ dạy cho tội nhân hay đường lối. Ngài hướng dẫn kẻ khiêm cung trong đức công minh, dạy bảo người khiêm cung đường lối của Ngài.","Xướng: Tất cả đường nẻo Chúa là ân sủng và trung thành, dành cho những ai giữ minh ước và điều răn Chúa. Chúa thân mật với những ai tôn sợ Chúa, và tỏ cho họ biết lời minh ước của Ngài."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia.  (Hoặc đọc: ) Alleluia, alleluia! Đấng Cứu Độ chúng ta là Đức Giê-su Ki-tô đã tiêu diệt thần chết, và đã dùng Tin Mừng mà làm sáng tỏ phúc trường sinh. Alleluia."},"gospel":{"excerpt":"Mc 12, 28b-34","info":"“Thiên Chúa của ngươi là Thiên Chúa duy nhất và ngươi hãy kính mến Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, có người trong nhóm Luật sĩ tiến đến Chúa Giêsu và hỏi Người rằng: “Trong các giới răn, điều nào trọng nhất?” Chúa Giêsu đáp: “Giới răn trọng nhất chính là: “Hỡi Israel, hãy nghe đây: Thiên Chúa, Chúa chúng ta, là Chúa duy nhất, và ngươi hãy yêu mến Chúa, Thiên Chúa ngươi hết lòng, hết linh hồn, hết trí khôn và hết sức ngươi”. Còn đây là giới răn thứ hai: “Ngươi hãy yêu mến tha nhân như chính mình ngươi”. Không có giới răn nào trọng hơn hai giới răn đó”. Luật sĩ thưa Người: “Thưa Thầy, đúng lắm! Thầy dạy phải lẽ khi nói Thiên Chúa là Chúa duy nhất, và ngoài Người, chẳng có Chúa nào khác. Yêu mến Chúa hết lòng, hết trí khôn, hết sức mình, và yêu tha nhân như chính mình thì hơn mọi lễ vật toàn thiêu và mọi lễ vật hy sinh”. Thấy người ấy tỏ ý kiến khôn ngoan, Chúa Giêsu bảo: “Ông không còn xa Nước Thiên Chúa bao nhiêu”. Và không ai dám hỏi Người thêm điều gì nữa.","end":"Ðó là lời Chúa"}},
+        "5095": {"firstReading":{"excerpt":"(Năm II) 2 Tm 3, 10-17","info":"“Kẻ sống đạo đức trong Ðức Giêsu Kitô, đều chịu bắt bớ”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gởi cho Timô-thêu.","content":"Con thân mến, con đã noi theo cha về giáo lý, đức hạnh, dự định, lòng tin, khoan dung, yêu thương, kiên nhẫn, bắt bớ, đau khổ, như đã xảy đến cho cha ở Antiokia, Icôni và Lystra. Biết bao cuộc bắt bớ cha đã phải chịu, và Chúa đã cứu cha thoát khỏi tất cả. Vả lại, mọi kẻ muốn sống đạo đức trong Ðức Giêsu Kitô đều chịu bắt bớ. Còn những kẻ tội lỗi và gian trá, thì sẽ đi sâu vào tình trạng tệ hại hơn, vì họ lầm lạc và làm cho kẻ khác lầm lạc. Phần con, con hãy bền vững trong các điều con đã học hỏi và xác tín, vì con biết con đã học cùng ai, vì từ bé, con đã học biết Sách Thánh, và chính Sách Thánh đã dạy con sự khôn ngoan để con được cứu rỗi nhờ tin vào Ðức Giêsu Kitô. Tất cả Kinh Thánh đã được Chúa linh hứng, đều hữu ích để giảng dạy, biện bác, sửa dạy và giáo dục trong đàng công chính, ngõ hầu người của Thiên Chúa được hoàn hảo để sẵn sàng thực hiện mọi việc lành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 157. 160. 161. 165. 166. 168","response":"Ðáp: Ðại bình an cho những ai yêu luật pháp Chúa (c. 165).","verses":["Xướng: Nhiều người bắt bớ và nhiễu hại con, nhưng con chẳng sai trật lời nghiêm huấn của Chúa.","Xướng: Căn bản lời Chúa là sự thật, mọi chỉ dụ công minh của Chúa tồn tại muôn đời.","Xướng: Các vua chúa bách hại con vô lý, nhưng lòng con vẫn kính sợ lời Ngài.","Xướng: Ðại bình an cho những ai yêu luật pháp Chúa, không có gì làm cớ cho họ sẩy chân.","Xướng: Lạy Chúa, con mong ơn Ngài phù trợ, để thực thi những chỉ thị của Ngài.","Xướng: Con tuân giữ huấn lệnh và những lời truyền của Chúa, vì bao đường lối của con hiện ở trước nhan Ngài."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật, và là sự sống, không ai đến được với Cha mà không qua Thầy. – Alleluia.  (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Ai yêu mến Thầy, thì sẽ giữ lời Thầy. Cha Thầy sẽ yêu mến người ấy. Cha Thầy và Thầy sẽ đến với người ấy. Alleluia."},"gospel":{"excerpt":"Mc 12, 35-37","info":"“Sao họ có thể bảo Ðức Kitô là Con vua Ðavít?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu cất tiếng giảng dạy trong đền thờ rằng: “Sao các luật sĩ lại nói Ðấng Cứu Thế là con vua Ðavít? Vì chính Ðavít được Chúa Thánh Thần soi sáng đã nói: Thiên Chúa đã phán cùng Chúa tôi rằng: “Con hãy ngồi bên hữu Cha, cho đến khi Cha đặt các kẻ thù con làm bệ dưới chân con”. Chính Ðavít gọi Người là Chúa, thì sao Người lại có thể là Con Ðavít được?” Và đám dân chúng thích thú nghe Người nói.","end":"Ðó là lời Chúa"}},
+        "5096": {"firstReading":{"excerpt":"(Năm II) 2 Tm 4, 1-8","info":"“Con hãy thi hành việc rao giảng Phúc Âm. Phần cha, cha đã già yếu và Chúa sẽ trao cho cha triều thiên công chính”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi Timôthêu.","content":"Con thân mến, cha khuyến cáo con trước tôn nhan Thiên Chúa và Ðức Kitô, Ðấng sẽ thẩm phán kẻ sống và kẻ chết nhân danh cuộc xuất hiện của chính Người và vương quốc của Người: Con hãy rao giảng lời Phúc Âm, hãy xúc tiến việc đó, dầu thời thế thuận lợi hay không thuận lợi, hãy thuyết phục, hãy khiển trách, hãy khuyên lơn với tất cả lòng kiên nhẫn và quan tâm giáo huấn. Bởi vì sẽ có một thời, bấy giờ người ta không chịu nghe theo giáo lý lành mạnh nữa, nhưng theo tình tư dục, họ đã thu thập cho mình thực nhiều thầy, tai họ ngứa ngáy và họ ngoảnh tai đi cho khỏi nghe chân lý để quay về với những chuyện hoang đường. Phần con, hãy thận trọng trong hết mọi vấn đề, hãy can trường chịu đau khổ, hãy làm phận sự người rao giảng Phúc Âm, hãy lo chu toàn bổn phận phục vụ của con, hãy sống tiết độ.\rPhần cha, cha đã già yếu, giờ ra đi của cha đã gần rồi. Cha đã chiến đấu trong trận chiến chính nghĩa, đã chạy đến cùng đường và đã giữ vững đức tin. Từ đây triều thiên công chính đã dành cho cha. Và trong ngày đó, Chúa là Ðấng phán xét chí công sẽ trao lại cho cha mũ triều thiên ấy, nhưng không phải cho cha mà thôi, mà còn cho những kẻ yêu mến trông đợi Người xuất hiện.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 8-9. 14-15ab. 16-17. 22","response":"Ðáp: Miệng con sẽ loan truyền sự Chúa công minh (x. c. 15).","verses":["Xướng: Miệng con đầy lời ca ngợi Chúa, và suốt ngày con ca hát vinh quang Ngài. Xin Chúa đừng bỏ con trong lúc tuổi già, khi con đã kiệt sức, xin chớ bỏ rơi con..","Xướng: Phần con sẽ luôn luôn trông cậy, ngày ngày con sẽ thêm lời ngợi khen Chúa. Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày con kể ra ơn Ngài giúp đỡ, thực con không sao mà kể cho cùng.","Xướng: Con sẽ kể ra uy quyền Thiên Chúa, lạy Chúa, con sẽ ca ngợi đức công minh của Ngài. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể những sự lạ của Ngài.","Xướng: Phần con, với cây cầm thụ, con ca lòng trung thành Ngài; lạy Chúa, với cây huyền cầm, con sẽ hát mừng Chúa, lạy Ðấng thánh của Israel."]},"alleluia":{"verse":" ","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! Phúc thay ai có tâm hồn nghèo khó, vì Nước Trời là của họ. Alleluia."},"gospel":{"excerpt":"Mc 12, 38 – 44","info":"“Bà goá nghèo này đã bỏ nhiều hơn hết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu nói cùng dân chúng trong khi giảng dạy rằng: “Các ngươi hãy coi chừng bọn luật sĩ. Họ thích đi lại trong bộ áo thụng, ưa được bái chào ngoài công trường, chiếm những ghế nhất trong hội đường và trong đám tiệc. Họ giả bộ đọc những kinh dài để nuốt hết tài sản của các bà goá: Họ sẽ bị kết án nghiêm nhặt hơn”. Chúa Giêsu ngồi đối diện với hòm tiền, quan sát dân chúng bỏ tiền vào hòm, và có lắm người giàu bỏ nhiều tiền. Chợt có một bà goá nghèo đến bỏ hai đồng tiền là một phần tư xu. Người liền gọi các môn đệ và bảo: “Thầy nói thật với các con: Trong những người đã bỏ tiền vào hòm, bá goá nghèo này đã bỏ nhiều hơn hết. Vì tất cả những người kia bỏ của mình dư thừa, còn bà này đang túng thiếu, đã bỏ tất cả những gì mình có để nuôi sống”.","end":"Ðó là lời Chúa"}},
+        "5101": {"firstReading":{"excerpt":"(Năm II) 1 V 17, 1-6","info":"“Êlia đứng trước tôn nhan Chúa, Thiên Chúa Israel”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Êlia người Thesbê thuộc miền Galaad, tâu vua Acáp rằng: “Có Chúa là Ðấng hằng sống, Thiên Chúa dân Israel, mà tôi đứng trước tôn nhan! Trong những năm sắp tới, sẽ không có sương mà cũng không có mưa, nếu tôi không ra lệnh”. Và Chúa đã phán cùng Êlia như sau: “Ngươi hãy bỏ nơi này, đi về hướng đông và ẩn náu tại suối Karit ở phía đông sông Giođan. Nơi đây ngươi sẽ uống nước suối, và Ta đã truyền cho chim quạ nuôi ngươi”. Vậy ông trẩy đi và làm như lời Chúa dạy. Ông đến ẩn náu tại suối Karit ở phía đông sông Giođan. Sáng sớm quạ đem cho ông bánh và thịt; ban chiều quạ cũng lại đem cho ông bánh và thịt, và ông uống nước suối.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 120, 1-2. 3-4. 5-6. 7-8","response":"Ðáp: Ơn phù trợ của tôi do nơi danh Chúa, là Ðấng đã tạo thành đất với trời (c. 2).","verses":["Xướng: Tôi ngước mắt nhìn lên đỉnh núi cao, ơn phù trợ cho tôi sẽ từ đâu ban tới? Ơn phù trợ của tôi do nơi danh Chúa, là Ðấng đã tạo thành đất với trời.","Xướng: Người chẳng để cho chân ngươi xiêu té, Ðấng bảo vệ ngươi, Người chẳng có ngủ say. Kìa Ðấng bảo vệ Israel, Người không thiếp giấc, không ngủ say.","Xướng: Chúa sẽ bảo vệ thân ngươi, Chúa là Ðấng che chở ngươi ở bên tay hữu. Mặt trời sẽ không hại ngươi lúc ban ngày, và mặt trăng cũng chẳng hại ngươi về ban đêm.","Xướng: Chúa sẽ gìn giữ ngươi khỏi mọi điều tai biến, Người sẽ bảo vệ linh hồn ngươi. Chúa sẽ bảo vệ ngươi khi đi, khi tới, ngay tự bây giờ và cho đến muôn đời."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia.  (Hoặc đọc: ) Alleluia, alleluia! Anh em hãy vui mừng hớn hở, vì phần thưởng dành cho anh em ở trên trời thật lớn lao. Alleluia."},"gospel":{"excerpt":"Mt 5, 1-12","info":"“Phúc cho những ai có tinh thần nghèo khó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đoàn lũ đông đảo, Người đi lên núi, và lúc Người ngồi xuống, các môn đệ đến gần Người. Bấy giờ Người mở miệng dạy họ rằng: “Phúc cho những ai có tinh thần nghèo khó, vì Nước Trời là của họ. – Phúc cho những ai hiền lành, vì họ sẽ được Ðất Nước làm cơ nghiệp. – Phúc cho những ai đau buồn, vì họ sẽ được ủi an. – Phúc cho những ai đói khát điều công chính, vì họ sẽ được no thoả. – Phúc cho những ai hay thương xót người, vì họ sẽ được xót thương. – Phúc cho những ai có lòng trong sạch, vì họ sẽ được nhìn xem Thiên Chúa. – Phúc cho những ai ăn ở thuận hoà, vì họ sẽ được gọi là con Thiên Chúa. – Phúc cho những ai bị bách hại vì lẽ công chính, vì Nước Trời là của họ”.\r“Phúc cho các con khi người ta ghen ghét, bách hại các con, và bởi ghét Thầy, họ vu khống cho các con mọi điều gian ác. Các con hãy vui mừng hân hoan, vì phần thưởng của các con sẽ trọng đại ở trên trời. Người ta cũng đã từng bắt bớ các tiên tri trước các con như vậy”.","end":"Ðó là lời Chúa"}},
+        "5102": {"firstReading":{"excerpt":"(Năm II) 1 V 17, 7-16","info":"“Vò bột không cạn và bình dầu không giảm như lời Chúa đã dùng lời Êlia mà phán”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, dòng suối nơi Êlia ẩn náu đã cạn, vì trong xứ không mưa. Bấy giờ Thiên Chúa phán cùng Êlia rằng: “Hãy chỗi dậy, đi Sarephta thuộc miền Siđon và ở lại đó: Ta đã truyền cho một quả phụ nuôi dưỡng ngươi”. Ông liền lên đường đi Sarephta. Khi ông đến trước cửa thành, ông thấy một quả phụ đang lượm củi; ông gọi bà và nói với bà rằng: “Xin đem cho tôi một ít nước trong bình để tôi uống”. Ðương lúc bà đi lấy nước, ông gọi lại mà nói: “Xin cũng mang cho tôi một miếng bánh”. Bà thưa: “Có Chúa là Thiên Chúa hằng sống chứng giám: Tôi không có sẵn bánh, tôi chỉ còn một nắm bột trong hũ với một ít dầu trong bình. Này đây tôi lượm vài que củi về nấu cho tôi và con trai tôi ăn, rồi chết thôi”. Êlia trả lời bà rằng: “Bà đừng lo, cứ đi và làm như bà đã nói. Nhưng, với chút bột ấy, trước hết hãy làm cho tôi một cái bánh nhỏ, đem ra đây cho tôi, sau đó hãy làm cho bà và con trai bà. Vì Chúa là Thiên Chúa Israel truyền rằng: “Hũ bột sẽ không cạn và bình dầu sẽ không vơi đi, cho đến ngày Chúa cho mưa xuống trên mặt đất”. Bà đi làm theo lời ông Êlia; chính ông và bà cùng cả nhà đều đủ ăn; từ ngày đó, hũ bột không cạn và bình dầu không vơi, như lời Chúa đã dùng Êlia mà phán.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 4, 2-3. 4-5. 7-8","response":"Ðáp: Lạy Chúa, xin chiếu sáng thiên nhan Chúa trên mình chúng con (c. 7b).","verses":["Xướng: Khi con cầu, nguyện Chúa nghe, lạy Chúa công bình của con, Chúa đã giải thoát con trong cơn khốn khó, nguyện xót thương và nghe tiếng con cầu. Người quyền thế, các ông cứng lòng tới bao giờ nữa? Tại sao say đắm bả phù hoa và kiếm chuyện sai ngoa?","Xướng: Nên biết rằng Chúa biệt đãi thánh nhân Ngài, Chúa sẽ nghe tôi khi tôi cầu khẩn Chúa. Hãy run lên và thôi phạm tội, hãy hồi tâm nghĩ lại trên giường nằm, và hãy lặng thinh.","Xướng: Nhiều người nói: “Ai chỉ cho ta thấy điều thiện hảo?” Lạy Chúa, xin chiếu sáng thiên nhan Chúa trên mình chúng con. Chúa đã gieo vào lòng con niềm vui, vui hơn tụi kia khi chúng tràn đầy lúa rượu."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! Ánh sáng của anh em phải chiếu giãi trước mặt thiên hạ, để họ thấy những công việc tốt đẹp anh em làm, mà tôn vinh Cha của anh em. Alleluia."},"gospel":{"excerpt":"Mt 5, 13-16","info":"“Các con là sự sáng thế gian”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Marcô.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con là muối đất. Nếu muối đã lạt, người ta biết lấy gì mà ướp cho mặn lại? Muối đó không còn xử dụng vào việc chi nữa, chỉ còn ném ra ngoài cho người ta chà đạp lên nó. Các con là sự sáng thế gian. Một thành phố xây dựng trên núi, không thể che giấu được. Và người ta cũng không thắp đèn rồi để dưới đáy thùng, nhưng đặt nó trên giá đèn, hầu soi sáng cho mọi người trong nhà. Sự sáng của các con cũng phải chiếu giãi ra trước mặt thiên hạ, để họ xem thấy những việc lành của các con mà ngợi khen Cha các con trên trời”.","end":"Ðó là lời Chúa"}},
+        "5103": {"firstReading":{"excerpt":"(Năm II) 1 1 V 18, 20-39","info":"“Chớ gì dân này nhìn nhận Chúa là Thiên Chúa và chính Chúa đã hoán cải lòng họ”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Vua Acáp sai người triệu tập toàn thể con cái Israel và nhóm họp các tiên tri trên núi Carmel.\rBấy giờ Êlia đến cùng toàn dân và tuyên bố rằng: “Các ngươi đi nước đôi cho đến khi nào? Nếu Chúa là Thiên Chúa, các ngươi hãy theo Người; nếu Baal là thiên chúa, thì hãy theo nó đi!” Dân chúng không thưa lại được lời nào. Êlia nói tiếp: “Chỉ còn tôi là tiên tri duy nhất của Chúa, mà tiên tri của Baal thì có đến bốn trăm năm mươi người. Hãy cho chúng tôi hai con bò đực; họ hãy chọn lấy một con cho họ, xẻ ra từng miếng đặt trên củi, nhưng đừng đốt lửa. Phần tôi, tôi làm thịt con bò kia, xếp trên củi và cũng không châm lửa. Ðoạn các ông hãy kêu cầu danh các thần của các ông, còn tôi, tôi sẽ kêu cầu danh Chúa của tôi. Ðấng nào đáp lời cho lửa xuống đốt, thì Ðấng ấy là Thiên Chúa”. Toàn dân đồng thanh đáp: “Ðề nghị hay đấy!”\rVậy Êlia nói với các tiên tri của Baal rằng: “Các ông hãy chọn lấy một con bò và làm thịt trước đi, vì các ông đông hơn, rồi hãy kêu cầu danh thần của các ông, nhưng đừng châm lửa”. Họ liền bắt con bò người ta trao cho mà làm thịt. Họ kêu cầu danh Baal từ sáng đến trưa và nguyện rằng: “Lạy thần Baal, xin nghe lời chúng tôi!” Nhưng chẳng có tiếng đáp, cũng chẳng ai trả lời. Họ nhảy múa chung quanh bàn thờ họ đã dựng lên. Khi trời đã trưa, Êlia chế diễu họ rằng: “Hãy gào thét to hơn, vì Baal là một vị thần. Có khi Người đang là tính công chuyện hoặc đang bận việc, hoặc đi vắng, hay đang ngủ chăng, và sẽ thức dậy”. Họ càng kêu lớn tiếng, lấy gươm giáo rạch mình theo tập tục họ, cho đến khi mình đầy máu me. Khi đã quá trưa, họ còn đọc thần chú đến giờ dâng lễ vật thường lệ, nhưng không có tiếng đáp, cũng chẳng có ai trả lời tỏ dấu lưu tâm đến.\rBấy giờ Êlia nói với toàn dân rằng: “Hãy lại gần tôi”. Toàn dân liền đến gần bên ông. Ông dựng lại bàn thờ Chúa trước kia đã bị phá huỷ. Ông lấy mười hai hòn đá đúng theo số mười hai chi tộc con cái Giacóp, là kẻ đã được nghe lời Chúa phán như sau: “Ngươi sẽ gọi là Israel”. Ông dùng các hòn đá ấy làm bàn thờ kính danh Chúa. Rồi ông đào một cái mương, rộng chừng hai đấu hạt giống, chung quanh bàn thờ; ông xếp củi, xẻ con bò ra từng miếng và đặt trên củi. Ðoạn ông nói: “Hãy múc đầy bốn hũ nước và đổ trên của lễ toàn thiêu và củi”. Và họ làm như thế. Ông còn dạy: “Hãy làm như vậy một lần thứ hai”. Khi người ta đã làm như ông dạy, ông lại ra lệnh: “Hãy làm như thế một lần thứ ba”. Và họ làm lần nữa. Nước chảy chung quanh bàn thờ, mương đầy nước.\rKhi đã đến giờ dâng của lễ toàn thiêu, tiên tri Êlia tiến ra cầu nguyện rằng: “Lạy Chúa là Thiên Chúa của Abraham, Isaac và Israel, xin tỏ ra Chúa là Thiên Chúa của Israel và con là tôi tớ của Chúa, và chính vì tuân lệnh Chúa truyền mà con đã làm các việc này. Lạy Chúa, xin nhậm lời con, xin đoái nghe lời con, hầu cho dân này nhìn nhận Chúa là Thiên Chúa và chính Chúa hoán cải lòng họ”. Bấy giờ lửa Chúa giáng xuống thiêu đốt của lễ toàn thiêu, củi, đá và cả bụi đất, đồng thời cũng hút hết nước trong mương. Trông thấy thế, toàn dân kinh hãi sấp mặt xuống đất mà nói rằng: “Chúa là Thiên Chúa! Chúa là Thiên Chúa!”","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a. 4. 5 và 8. 11","response":"Ðáp: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa (c. 1).","verses":["Xướng: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa, con thưa cùng Chúa: Ngài là chúa tể con.","Xướng: Thiên hạ tăng thêm nhiều nỗi đau thương của họ, họ là những kẻ chạy theo các thần tượng ngoại lai. Con sẽ không dâng lễ quán bằng máu của chúng, cũng không đọc tên chúng trên môi.","Xướng: Chúa là phần gia nghiệp và phần chén của con, chính Người nắm giữ vận mạng của con. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Chúa sẽ chỉ cho con đường lối trường sinh, sự no đầy hoan hỉ ở trước thiên nhan, sự khoái lạc bên tay hữu Chúa tới muôn muôn đời!"]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 5, 17-19","info":"“Thầy không đến để huỷ bỏ, nhưng để kiện toàn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đừng tưởng Thầy đến để huỷ bỏ lề luật hay các tiên tri: Thầy không đến để huỷ bỏ, nhưng để kiện toàn. Vì Thầy bảo thật các con: Cho dù trời đất có qua đi, thì một chấm, một phẩy trong bộ luật cũng không bỏ sót, cho đến khi mọi sự hoàn thành. Bởi vậy, ai huỷ bỏ một trong những điều luật nhỏ mọn nhất, và dạy người khác làm như vậy, sẽ kể là người nhỏ nhất trong Nước Trời; trái lại, ai giữ và dạy người ta giữ những điều đó, sẽ được kể là người cao cả trong Nước Trời”.","end":"Ðó là lời Chúa"}},
+        "5104": {"firstReading":{"excerpt":"(Năm II) 1 V 18, 41-46","info":"“Êlia cầu nguyện và trời đổ mưa” (Gc 5, 18).","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Êlia tâu cùng Acáp rằng: “Xin bệ hạ lên ăn uống, vì tôi nghe có tiếng mưa to”. Acáp liền lên ăn uống. Phần Êlia, ông trèo lên đỉnh núi Carmel, cúi mình xuống đất, gục mặt vào hai đầu gối. Ðoạn ông nói với người đầy tớ rằng: “Hãy lên đây nhìn về phía biển”. Người đầy tớ leo lên, đưa mắt nhìn, rồi thưa ông: “Không có gì hết.” Êlia lại nói với y: “Cứ xem lại bảy lần”. Ðến lần thứ bảy (nó báo:) “Kìa, có đám mây nhỏ bằng vết chân người, từ biển kéo lên”. Êlia liền bảo: “Hãy lên tâu với Acáp chuẩn bị xe xuống gấp kẻo mắc mưa”. Ðang lúc vua còn loay hoay thì bỗng trời tối om, mây bao phủ, gió thổi lên, trời đổ mưa như trút. Acáp lên xe đi Giêrahel. Tay Chúa phù hộ Êlia: Ông thắt lưng chạy trước Acáp cho đến khi tới Giêrahel.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 64, 10abcd. 10e-11. 12-13","response":"Ðáp: Lạy Chúa, Chúa đáng ca tụng trên núi Sion (c. 2a).","verses":["Xướng: Chúa đã viếng thăm ruộng đất và tưới giội, Ngài làm cho đất trở nên phong phú bội phần. Sông ngòi của Thiên Chúa tràn trề nước, Ngài đã chuẩn bị cho thiên hạ có lúa mì. – Ðáp.","Xướng: Vì Ngài đã chuẩn bị như thế này cho ruộng đất: Ngài đã tưới giội nước vào những luống cày, và Ngài san bằng mô cao của ruộng đất, Ngài làm cho đất mềm bởi thấm nước mưa, Ngài chúc phúc cho mầm cây trong đất. – Ðáp.","Xướng: Chúa đã ban cho năm hồng ân, và lốt xe ngự giá của Người khơi nguồn phong phú. Ðống đất hoang vu có nước chảy đầm đìa, và các đồi núi bận xiêm y hoan hỉ. – Ðáp."]},"alleluia":{"verse":"Ga 14, 29","content":"alleluia! – Chúa phán: “Nếu ai yêu Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! Chúa nói: Thầy ban cho anh em một điều răn mới, là anh em hãy yêu thương nhau, như Thầy đã yêu thương anh em. Alleluia."},"gospel":{"excerpt":"Mt 5, 20-26","info":"“Bất cứ ai phẫn nộ với anh em mình, thì sẽ bị toà án luận phạt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu các con không công chính hơn các luật sĩ và biệt phái, thì các con chẳng được vào Nước Trời đâu.\r“Các con đã nghe dạy người xưa rằng: “Không được giết người. Ai giết người, sẽ bị luận phạt nơi toà án”. Còn Thầy, Thầy sẽ bảo các con: Bất cứ ai phẫn nộ với anh em mình, thì sẽ bị toà án luận phạt. Ai bảo anh em là “ngốc”, thì bị phạt trước công nghị. Ai rủa anh em là “khùng”, thì sẽ bị vạ lửa địa ngục. Nếu con đang dâng của lễ nơi bàn thờ mà sực nhớ người anh em đang có điều bất bình với con, thì con hãy để của lễ lại trước bàn thờ, đi làm hoà với người anh em con trước đã, rồi hãy trở lại dâng của lễ. Hãy liệu làm hoà với kẻ thù ngay lúc còn đi dọc đường với nó, kẻo kẻ thù sẽ đưa con ra trước mặt quan toà, quan toà lại trao con cho tên lính canh và con sẽ bị tống ngục. Ta bảo thật cho con biết: Con sẽ không thoát khỏi nơi ấy cho đến khi trả hết đồng xu cuối cùng!”","end":"Ðó là lời Chúa"}},
+        "5105": {"firstReading":{"excerpt":"(Năm II) 1 V 19, 9a. 11-16","info":"“Hãy ra đứng trên núi trước tôn nhan Chúa”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, khi Êlia đã lên núi Horeb của Thiên Chúa, ông trú ẩn trong một cái hang. Có lời Chúa phán cùng ông rằng: “Hãy ra đứng trên núi trước tôn nhan Chúa”. Bỗng Chúa đi qua; có một cơn gió mạnh xé núi non và nghiền nát đá trước mặt Chúa. Nhưng Chúa không ở trong gió bão. Sau trận gió bão thì đất động; Chúa cũng không ở trong cơn động đất. Sau cơn động đất thì có lửa; nhưng Chúa cũng không ở trong lửa. Sau lửa thì có tiếng gió hiu hiu. Vừa nghe thấy, Êlia liền lấy áo choàng che mặt lại, đi ra đứng ở cửa hang. Bỗng có tiếng nói với ông: “Hỡi Êlia, ngươi làm gì ở đây?” Ông thưa: “Lòng nhiệt thành với Chúa các đạo binh nung nấu con, vì con cái Israel đã phản bội với giao ước của Chúa, phá huỷ các bàn thờ, dùng gươm giết các tiên tri của Chúa, chỉ còn con sống sót và họ đang tìm hại mạng sống con”. Nhưng Chúa phán cùng ông: “Hãy lên đường trở về qua lối sa mạc miền Ðamas. Tới nơi, ngươi hãy xức dầu phong Hazael làm vua Syria, xức dầu phong Giêhu con ông Namsi làm vua Israel, và xức dầu cho Êlisê, con Saphat người xứ Abel-Mêhula, làm tiên tri thế ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 7-8a. 8b-9abc. 13-14","response":"Ðáp: Lạy Chúa, con tìm kiếm dung nhan Chúa (c. 8b).","verses":["Xướng: Lạy Chúa, xin nghe tiếng con kêu cầu, xin thương xót và nhậm lời con. Về Chúa, lòng con tự nhắc lời: “Hãy tìm ra mắt Ta”.","Xướng: Và lạy Chúa, con tìm ra mắt Chúa, xin Chúa đừng ẩn mặt xa con, xin đừng xua đuổi tôi tớ Người trong thịnh nộ. Chúa là Ðấng phù trợ con, xin đừng hất hủi con.","Xướng: Con tin rằng con sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa!"]},"alleluia":{"verse":"Ga 1, 14 và 22b","content":"alleluia! – Ngôi lời đã làm người và ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 5, 27-32","info":"“Ai nhìn người nữ mà ước ao phạm tội, thì đã ngoại tình với người ấy trong lòng rồi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đã nghe dạy người xưa rằng: “Chớ ngoại tình”. Phần Thầy, Thầy bảo các con: Ai nhìn người nữ mà ước ao phạm tội, thì đã ngoại tình với người ấy trong lòng rồi. Nếu mắt bên phải con làm con vấp phạm, thì hãy móc quăng khỏi con đi: thà mất một chi thể còn lợi cho con hơn là toàn thân bị ném vào hoả ngục. Và nếu tay phải con làm con vấp phạm, thì hãy chặt mà quăng đi, vì thà mất một chi thể còn lợi cho con hơn là toàn thân bị ném vào hoả ngục.\r“Có lời dạy rằng: “Ai bỏ vợ mình, hãy trao cho vợ một giấy ly dị”. Phần Thầy, Thầy bảo các con: bất cứ ai bỏ vợ mình-ngoại trừ vì lý do gian dâm-là làm cớ cho vợ ngoại tình; và ai cưới người vợ bị bỏ, cũng phạm tội ngoại tình nữa”.","end":"Ðó là lời Chúa"}},
+        "5106": {"firstReading":{"excerpt":"(Năm II) 1 V 19, 19-21","info":"“Êlisê chỗi dậy đi theo Êlia”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Trong những ngày ấy, Êlia xuống núi tìm đến cùng Êlisê, con ông Saphat, đang cày với mười hai đôi bò; chính Êlisê là người dẫn đôi bò thứ mười hai. Êlia tiến đến gần ông và ném áo choàng mình trên ông. Êlisê bỏ đôi bò đó, chạy lại Êlia và thưa rằng: “Xin cho tôi về hôn cha mẹ tôi đã, rồi tôi sẽ theo Ngài”. Êlia nói với ông: “Cứ về rồi trở lại, vì ta đã làm gì ngươi đâu?” Êlisê rời Êlia, bắt đôi bò làm thịt, lấy cày làm củi, nấu thịt bò và đem cho dân chúng ăn. Ðoạn Êlisê chỗi dậy đi theo làm đồ đệ Êlia.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 15, 1-2a và 5. 7-8. 9-10","response":"Ðáp: Lạy Chúa, Chúa là phần gia nghiệp của con (c. 5a).","verses":["Xướng: Xin bảo toàn con, lạy Chúa, vì con tìm nương tựa Chúa. Con thưa cùng Chúa: Ngài là Chúa tể con; Chúa là phần gia nghiệp và phần chén của con, chính Ngài nắm giữ vận mạng của con.","Xướng: Con chúc tụng Chúa vì đã ban cho con lời khuyên bảo, đó là điều lòng con tự nhủ, cả những lúc đêm khuya. Con luôn luôn đặt Chúa ở trước mặt con, vì Chúa ngự bên hữu con, con sẽ không nao núng.","Xướng: Bởi thế lòng con vui mừng và linh hồn con hoan hỉ, ngay cả đến xác thịt của con cũng nằm nghỉ an toàn, vì Chúa chẳng bỏ rơi linh hồn con trong âm phủ, cũng không để thánh nhân của Ngài thấy điều hư nát."]},"alleluia":{"verse":"Lc 19, 38","content":"alleluia! – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến; bình an trên trời và vinh quang trên các tầng trời. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! Lạy Thiên Chúa, xin hướng lòng con nghiêng về thánh ý, và thương ban cho con luật pháp Ngài. Alleluia."},"gospel":{"excerpt":"Mt 5, 33-37","info":"“Thầy bảo các con: đừng thề chi cả”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con lại còn nghe dạy người xưa rằng: “Ðừng bội thề, nhưng hãy giữ lời ngươi đã thề với Chúa”. Phần Thầy, Thầy bảo các con: Ðừng thề chi cả, đừng lấy trời mà thề, vì là ngai của Thiên Chúa; đừng lấy đất mà thề, vì là bệ đặt chân của Người; đừng lấy Giêrusalem mà thề, vì là thành của Vua cao cả; cũng đừng chỉ đầu mà thề, vì con không thể làm cho một sợi tóc ra trắng hoặc ra đen được. Nhưng lời các con phải: có thì nói có, không thì nói không; nói thêm thắt là do sự dữ mà ra”.","end":"Ðó là lời Chúa"}},
+        "5111": {"firstReading":{"excerpt":"(Năm II) 1 V 21, 1-16","info":"“Noboth đã bị ném đá chết”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"Khi ấy, ông Naboth, người Giêrahel, có một vườn nho, sát cạnh đền của Acáp vua xứ Samaria. Acáp nói với Naboth rằng: “Hãy nhượng vườn nho cho ta, để ta làm vườn rau, vì nó gần đền ta: bù lại, ta sẽ đổi cho ngươi vườn nho khác tương đương”. Nhưng Naboth thưa lại rằng: “Xin Chúa đừng để tôi nhượng cho đức vua phần gia nghiệp của tổ tiên tôi”. Acáp tức giận bỏ về nhà, và căm hờn vì lời ông Naboth, người Giêrahel đã nói: “Tôi sẽ không nhượng cho đức vua phần gia nghiệp của tổ tiên tôi”. Vua nằm lăn xuống giường, quay mặt vào vách và không ăn uống gì.\rGiêzabel, vợ vua, đến cùng vua và nói rằng: “Tại sao đức vua buồn phiền, và không ăn uống gì?” Vua đáp: “Tôi đã nói với Naboth người Giêrahel rằng: “Hãy bán vườn nho lại cho ta, hoặc nếu ngươi muốn, ta sẽ đổi cho vườn nho khác tốt hơn”. Nó lại nói: “Tôi không thể nhượng vườn nho tôi cho đức vua”. Giêzabel vợ vua liền nói với vua rằng: “Quyền thế nhà vua cao cả biết bao, và nhà vua cai trị nước Israel khéo như thế nào! Thôi, dậy ăn uống đi, và cứ yên tâm. Thiếp sẽ tặng cho nhà vua vườn nho của Naboth người Giêrahel”.\rBà ta nhân danh Acáp mà viết thơ, lấy ấn vua đóng vào, và gởi cho các bậc kỳ lão và chức sắc ở cùng thành với Naboth. Nội dung bức thư như thế này: “Hãy công bố một thời kỳ chay tịnh, và đặt Naboth ngồi giữa hàng nhân sĩ trong dân. Hãy xúi hai đứa gian ác thuộc phường Bêlial đến trước mặt nó và cáo gian nó thế này: “Nó đã nguyền rủa Thiên Chúa và đức vua”. Các ngươi hãy điệu nó đi mà ném đá cho nó chết”. Vậy dân chúng ở cùng thành với Naboth, các kỳ lão và chức sắc cùng ở một thành với ông, làm như Giêzabel đã truyền, đúng như đã viết trong thư bà gởi cho họ. Họ công bố một thời kỳ chay tịnh, đặt ông Naboth ngồi giữa hàng nhân sĩ trong dân. Họ dẫn đến hai thằng con cái ma quỷ, đặt chúng ngồi đối diện với ông. Và hai đứa này, đúng là hạng quỷ sứ, đã cáo trước mặt dân chúng rằng: “Naboth đã nguyền rủa Thiên Chúa và đức vua”. Nghe thế, họ liền điệu ông ra khỏi thành, và ném đá hạ sát ông. Rồi họ sai người đi nói với Giêzabel rằng: “Naboth đã bị ném đá chết rồi”.\rKhi nghe tin Naboth đã bị ném đá chết, Giêzabel liền nói với Acáp rằng: “Nhà vua hãy chỗi dậy và chiếm lấy vườn nho của Naboth người Giêrahel, kẻ đã không muốn theo ý nhà vua nhượng lại vườn nho mà lấy tiền: Naboth không còn sống nữa, nhưng đã chết rồi”. Khi hay tin Naboth đã chết, Acáp chỗi dậy và xuống chiếm lấy vườn nho của Naboth người Giêrahel.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 5, 2-3. 5-6. 7","response":"Ðáp: Lạy Chúa, xin lưu tâm đến tiếng con than thở (c. 2b).","verses":["Xướng: Xin lắng tai nghe lời con, thân lạy Chúa, xin lưu tâm đến tiếng con than thở. Xin để ý nghe tiếng con cầu khẩn, ôi Ðại Vương và Thiên Chúa của con!","Xướng: Ngài không phải là Chúa tể ưa điều gian ác; kẻ độc dữ không được cư trú nhà Ngài; đứa bất nhân không thể đứng trước thiên nhan; Chúa ghét những kẻ làm điều gian ác.","Xướng: Ngài tiêu diệt những đứa nói man; người độc ác và gian xảo thì Chúa ghê tởm không nhìn."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe. Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 5, 38-42","info":"“Thầy bảo các con: đừng chống cự lại với kẻ hung ác”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đã nghe bảo: “Mắt đền mắt, răng đền răng”. Còn Thầy, Thầy bảo các con: đừng chống cự lại với kẻ hung ác; trái lại, nếu ai vả má bên phải của con, thì hãy đưa má bên kia cho nó nữa. Và ai muốn kiện con để đoạt áo trong của con, thì hãy trao cho nó cả áo choàng nữa. Và ai bắt con đi một dặm, thì con hãy đi với nó hai dặm. Ai xin, thì con hãy cho. Ai muốn vay mượn, thì con đừng khước từ”.","end":"Ðó là lời Chúa"}},
+        "5112": {"firstReading":{"excerpt":"(Năm II) 1 V 21, 17-29","info":"“Ngươi đã làm cho Israel phạm tội”.","title":"Trích sách Các Vua quyển thứ nhất.","content":"(Sau khi Naboth chết), có lời Chúa phán cùng ông Êlia, người miền Thesbê rằng: “Ngươi hãy chỗi dậy, xuống gặp Acáp, vua Israel, ở thành Samaria: này Acáp đang xuống vườn nho của Naboth để chiếm lấy. Ngươi sẽ nói với ông ấy rằng: “Ðây lời Chúa phán: Ngươi đã giết, lại còn chiếm đoạt”. Sau đó ngươi nói tiếp: “Ðây là lời Chúa phán: Những con chó đã liếm máu Naboth tại đâu, thì cũng sẽ liếm máu ngươi tại đó”. Acáp liền nói với Êlia: “Ông coi tôi là thù địch của ông sao?” Êlia đáp: “Ðúng thế, vì vua đã liều mình làm điều gian ác trước mặt Chúa. Này Ta sẽ giáng hoạ trên ngươi, sẽ làm cho ngươi tuyệt tự; Ta sẽ giết tất cả con trai của nhà Acáp, bất kể sang hèn trong dân Israel. Ta sẽ cho dòng dõi ngươi ra giống như dòng dõi Giêroboam, con của Nabat, và như dòng dõi của Baasa con của Ahia, vì ngươi đã hành động để chọc giận Ta, và làm cho Israel phạm tội”. Còn về Giêzabel, Chúa phán rằng: “Chó sẽ ăn thịt Giêzabel ở cánh đồng Giêzrơel. Acáp chết trong thành, sẽ bị chó ăn thịt; nếu chết ngoài đồng, thì sẽ bị chim trời rỉa ăn”. Chẳng có ai giống như Acáp, đã liều mình làm điều gian ác trước mặt Chúa, bởi vì Giêzabel, vợ vua đã xúi giục. Vua đã trở nên quái gở, đến nỗi chạy theo các tà thần mà người Amorrhe đã làm ra, họ là những người Chúa đã tiêu diệt trước mặt con cái Israel.\rKhi Acáp nghe những lời này, mặc áo nhặm, ăn chay, vấn bao bố mà ngủ và ăn ở khiêm nhường. Có lời Chúa phán với Êlia người Thesbê rằng: “Ngươi có thấy Acáp hạ mình trước mặt Ta không? Vì Acáp đã hạ mình trước mặt Ta, Ta sẽ không giáng hoạ xuống trong đời ông ta, nhưng trong đời con ông ta, Ta sẽ giáng hoạ trên nhà ông ấy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 5-6a. 11 và 16","response":"Ðáp: Xin xót thương, lạy Chúa, vì chúng con đã phạm tội.","verses":["Hoặc đọc: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa (x. c. 3a).","Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi; xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác","Xướng: Vì sự lỗi con, chính con đã biết, và tội con ở trước mặt con luôn; con phạm tội phản nghịch cùng một Chúa.","Xướng: Xin ngoảnh mặt đi, đừng nhìn tội lỗi, và tẩy xoá mọi điều gian ác của con. Xin cứu gỡ con khỏi đền nợ máu, ôi lạy Chúa là Chúa cứu độ con, lưỡi con sẽ ca ngợi đức công minh Chúa."]},"alleluia":{"verse":"Tv 24, 4c và 5a:","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa, và xin hướng dẫn con trong chân lý của Ngài. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Chúa nói: Thầy ban cho anh em một điều răn mới, là anh em hãy yêu thương nhau, như Thầy đã yêu thương anh em. Alleluia."},"gospel":{"excerpt":"Mt 5, 43-48","info":"“Các ngươi hãy yêu thương thù địch”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa phán cùng các môn đệ rằng: “Các con đã nghe dạy: “Ngươi hãy yêu thân nhân, và hãy thù ghét địch thù”. Còn Ta, Ta bảo các con: Hãy yêu thương thù địch và làm ơn cho những kẻ ghét các con, hãy cầu nguyện cho những ai bắt bớ và nguyền rủa các con: để như vậy các con nên con cái Cha các con, Ðấng ngự trên trời: Người khiến mặt trời mọc lên cho người lành kẻ dữ, và cho mưa xuống trên người liêm khiết và kẻ bất lương. Vì nếu các con yêu thương những ai mến trọng các con, thì các con được công phúc gì? Các người thu thuế không làm thế ư? Nếu các con chỉ chào hỏi anh em các con thôi, thì các con đâu có làm chi hơn? Những người ngoại giáo không làm như thế ư? Vậy các con hãy nên hoàn hảo như Cha các con trên trời là Ðấng hoàn hảo”.","end":"Ðó là lời Chúa"}},
+        "5113": {"firstReading":{"excerpt":"(Năm II) 2 V 2, 1. 6-14","info":"“Có một xe bằng lửa, và Êlia lên trời”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Khi Thiên Chúa muốn đem Êlia lên trời trong cơn gió lốc, Êlia và Êlisê đang rời bỏ đất Galgala. Khi cả hai đến thành Giêricô, Êlia nói với Êlisê rằng: “Con cứ ngồi đây, Chúa sai thầy đến sông Giođan”. Êlisê đáp: “Nhân danh Chúa hằng sống và lấy mạng sống của Thầy, con xin thề rằng: Con sẽ không rời thầy”. Thế rồi cả hai cùng đi xuống Bêthel. Có năm mươi người đồ đệ của tiên tri cũng đi theo hai vị, và đứng xa xa, còn hai vị thì đứng trên bờ sông Giođan. Êlia lấy áo choàng cuốn lại, đập xuống nước. Nước liền rẽ làm hai, và hai vị cứ lối ráo mà qua sông.\rKhi đã qua rồi, Êlia nói với Êlisê rằng: “Con muốn gì thì cứ xin, để thầy làm cho, trước khi thầy được cất đi khỏi con”. Êlisê đáp: “Con muốn được gấp đôi thần trí của thầy”. Êlia nói: “Con xin điều khó quá, nhưng nếu con thấy được thầy trong lúc thầy được cất đi khỏi con, thì con sẽ được như ý; nhưng nếu con không xem thấy, thì không được”. Hai ông tiếp tục đi và nói chuyện, thì này đây có một xe bằng lửa và ngựa cũng bằng lửa phân rẽ hai người; và trong cơn gió lốc, Êlia lên trời. Êlisê thấy vậy kêu lên: “Cha ơi, cha ơi, cha là xe và là người đánh xe Israel”. Và Êlisê không thấy thầy mình nữa, người liền lấy áo mình và xé ra làm đôi, và lượm chiếc áo choàng Êlia đã thả xuống, rồi lui về, và đứng lại ở bờ sông Giođan, lấy áo choàng Êlia đã thả xuống, đập xuống nước mà nước lại không rẽ ra. Người kêu lên: “Thiên Chúa của Êlia bây giờ ở đâu?” Người lại đập xuống nước, và nước rẽ làm đôi, và Êlisê đi qua.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 30, 20. 21. 24","response":"Ðáp: Lòng chư vị hãy can trường mạnh bạo, hết thảy chư vị là người cậy trông ở Chúa (c. 25).","verses":["Xướng: Lạy Chúa, vĩ đại thay lòng nhân hậu Chúa, lòng nhân hậu Ngài dành để cho những kẻ kính sợ Ngài, lòng nhân hậu Ngài ban cho những ai tìm nương tựa Ngài, ngay trước mặt con cái người ta.","Xướng: Chúa che chở họ dưới bóng long nhan Ngài, cho khỏi người ta âm mưu làm hại. Chúa giấu họ trong lều trại của Ngài, cho khỏi miệng lưỡi người đời tranh luận.","Xướng: Chư vị thánh nhân của Chúa, hãy mến yêu Ngài, Ngài gìn giữ những kẻ trung thành. Nhưng Ngài trả miếng thực là đầy đủ cho những ai xử sự kiêu căng."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 6, 1-6. 16-18","info":"“Cha ngươi Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho ngươi“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy cẩn thận, đừng phô trương công đức trước mặt người ta để thiên hạ trông thấy, bằng không, các con mất công phúc nơi Cha các con là Ðấng ở trên trời. Vậy khi các con bố thí, thì đừng thổi loa báo trước, như bọn giả hình làm ở nơi hội đường và phố xá, để cho người ta ca tụng họ. Quả thật, Ta bảo các con, họ đã được thưởng công rồi. Còn con có bố thí, thì làm sao đừng để tay trái biết việc tay phải làm, để việc con bố thí được giữ kín, và Cha con, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho con.\r“Rồi khi các con cầu nguyện, thì cũng chớ làm như những kẻ giả hình: họ ưa đứng cầu nguyện giữa hội đường và các ngả đàng, để thiên hạ trông thấy. Quả thật, Ta bảo các con: họ đã được thưởng công rồi. Còn con khi cầu nguyện, thì hãy vào phòng đóng cửa lại mà cầu xin với Cha con, Ðấng ngự nơi bí ẩn, và Cha con, Ðấng thấu suốt mọi bí ẩn, sẽ trả công cho con.\r“Khi các con ăn chay, thì đừng làm như bọn giả hình thiểu não: họ làm cho mặt mũi ủ dột, để có vẻ ăn chay trước mặt người ta. Quả thật, Ta bảo các con, họ đã được thưởng công rồi. Còn con khi ăn chay, hãy xức dầu thơm trên đầu và rửa mặt, để thiên hạ không biết con ăn chay, nhưng chỉ tỏ ra cho Cha con Ðấng ngự nơi bí ẩn, và Cha con thấu suốt mọi bí ẩn, sẽ trả công cho con”.","end":"Ðó là lời Chúa"}},
+        "5114": {"firstReading":{"excerpt":"(Năm II) Hc 48, 1-15 (Gr 1-14)","info":"“Êlia được che khuất trong gió cuốn, và Êlisê được trọn vẹn thần trí của người”.","title":"Trích sách Huấn Ca.","content":"Bấy giờ tiên tri Êlia như lửa hồng xuất hiện, lời ông nóng bỏng như ngọn đuốc cháy phừng. Ông đem cho họ một mùa đói khát, và số người ghét ông đã hao đi, vì chúng chẳng giữ được giới răn Chúa. Do lời Chúa phán, ông đóng cửa trời và ba lần khiến lửa trời xuống. Êlia được vinh quang nhờ các việc lạ lùng đã làm, và ai có thể tự hào được vinh quang như người? Bởi lời Chúa là Thiên Chúa, người cứu kẻ chết ra khỏi âm phủ, khỏi quyền sự chết. Người triệt hạ các vua xuống cảnh điêu tàn, bẻ gãy dễ dàng quyền thế của họ, xô kẻ sang trọng rớt khỏi giường nằm. Trên núi Sinai, người đã nghe lời xét xử, và trên núi Horeb, người đã nghe án quyết phục thù. Người xức dầu các vua để báo oán và đặt các tiên tri để nối nghiệp mình. Người đã được cất đi trong bầu lửa, trong xe ngựa kéo đi. Người đã nên dấu chỉ sự đe phạt qua các thời đại, để làm nguôi cơn thịnh nộ Chúa, để giao hoà cha với con, và chấn hưng lại những chi họ Giacóp. Phúc cho những ai đã thấy người, và được hân hạnh thiết nghĩa với người: Vì chúng tôi chỉ được sống trong cuộc sống này, sau giờ chết, danh tiếng của chúng tôi sẽ được như thế. Êlia được che khuất trong gió cuốn, và Êlisê được trọn vẹn thần trí của người. Trong đời người, người không sợ vương tướng, và không quyền lực nào thắng được người, cũng không ai vượt người trong lời nói, và khi người chết rồi, xác người vẫn nói tiên tri. Khi còn sống, người đã làm những phép lạ, và khi đã qua đời, người đã làm những việc kỳ diệu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 96, 1-2. 3-4. 5-6. 7","response":"Ðáp: Người hiền đức, hãy mừng vui trong Chúa (c. 12a).","verses":["Xướng: Chúa hiển trị, địa cầu hãy hân hoan, hải đảo muôn ngàn, hãy mừng vui. Mây khói và sương mù bao toả chung quanh, công minh chính trực là nền kê ngai báu.","Xướng: Một làn lửa đi trước thiên nhan, để đốt những quân đối nghịch chung quanh Chúa. Chớp của Người sáng rực cõi trần, địa cầu xem thấy và run rẩy sợ hãi.","Xướng: Núi non vỡ lở như mẩu sáp ong trước thiên nhan, trước thiên nhan Chúa tể toàn cõi đất. Trời xanh loan truyền sự công minh Chúa, và chư dân được thấy vinh hiển của Người.","Xướng: Hãy hổ ngươi tất cả những ai phụng thờ hình ảnh, những ai khoe khoang về thần tượng, bao nhiêu chúa tể hãy cúc cung bái lạy Người."]},"alleluia":{"verse":"Tv 144, 13bc","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mt 6, 7-15","info":"“Vậy các ngươi hãy cầu nguyện như thế này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Khi cầu nguyện, các con đừng nhiều lời như dân ngoại: họ nghĩ là phải nói nhiều mới được chấp nhận. Ðừng làm như họ, vì Cha các con biết rõ điều các con cần, ngay cả trước khi các con xin. Vậy các con hãy cầu nguyện như thế này:\r“Lạy Cha chúng con ở trên trời, chúng con nguyện danh Cha cả sáng, nước Cha trị đến, ý Cha thể hiện dưới đất cũng như trên trời. Xin Cha cho chúng con hôm nay lương thực hằng ngày, và tha nợ chúng con, như chúng tôi cũng tha kẻ có nợ chúng con, xin chớ để chúng con sa chước cám dỗ, nhưng cứu chúng con cho khỏi sự dữ. Amen.\r“Vì nếu các con có tha thứ cho người ta những lầm lỗi của họ, thì Cha các con, Ðấng ngự trên trời, mới tha thứ cho các con. Nếu các con không tha thứ cho người ta, thì Cha các con cũng chẳng tha thứ lỗi lầm cho các con”.","end":"Ðó là lời Chúa"}},
+        "5115": {"firstReading":{"excerpt":"(Năm II) 2 V 11, 1-4. 9-18. 20","info":"“Người ta xức dầu cho Gioas và reo lên: Vạn tuế đức vua”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong những ngày ấy, khi bà Athalia, mẹ vua Ocôsia, thấy con mình chết, nên đứng lên giết tất cả dòng dõi nhà vua. Nhưng Giô-saba, con gái của vua Giôram và là chị của Ocôsia, cứu được Gioas, con của Ocôsia khỏi số các con của vua bị sát hại, và giấu nó trong phòng ngủ làm một với bà vú, để bà Athalia không thấy nó và nó khỏi bị giết. Nó ở trong đền thờ Chúa với bà Giôsaba cách bí mật được sáu năm, thời gian bà Athalia cai trị đất nước.\rNăm thứ bảy, ông Gioiađa sai người đi tìm các sĩ quan và quân lính, ông đưa họ đi với ông vào đền thờ Chúa. Người ký giao ước với họ, bảo họ thề trong đền thờ Chúa và cho họ thấy con của nhà vua.\rCác sĩ quan làm tất cả những điều tư tế Gioiađa truyền dạy: Mỗi người đem các thuộc hạ theo mình, những người lính vào canh ngày Sabbat cũng như kẻ ra canh, đều đến cùng tư tế Gioiađa. Ông trao cho họ giáo mác và khí giới của Ðavít để trong đền thờ Chúa. Mỗi người cầm khí giới đứng từ bên tả đến bên hữu đền thờ và bàn thờ, hộ vệ chung quanh đức vua. Tư tế Gioiađa dẫn hoàng tử ra, đặt triều thiên lên đầu người và trao cho người quyển giao ước. Người ta phong người làm vua và xức dầu cho người. Họ vỗ tay reo lên: “Vạn tuế đức vua!”\rAthalia nghe tiếng dân chúng chạy đến, thì đi với dân vào đền thờ Chúa. Bà Athalia thấy vua đứng trên toà như thói thường, có ca sĩ và đội kèn đứng kề bên, và toàn dân trong xứ hân hoan kèn hát, bà liền xé áo mình, kêu lên rằng: “Mưu phản! Mưu phản!” Nhưng Gioiađa truyền cho các sĩ quan đang cầm đầu toán binh lính rằng: “Các ngươi hãy đuổi bà ấy ra khỏi đền thờ, và hễ ai theo bà, thì chém luôn”. Vị tư tế nói: “Ðừng giết bà trong đền thờ Chúa”. Họ ra tay bắt và lôi bà đi theo đường ngựa vào đến gần cung điện và giết bà tại đó.\rGioiađa ký kết giao ước giữa Thiên Chúa với vua và dân, để họ trở nên dân Chúa; và ký giao ước giữa vua và dân. Toàn dân trong xứ đều ùa vào chùa Baal, phá huỷ các đền thờ, đập tan các bức tượng, và giết luôn thầy cả Mathan trước bàn thờ. Tư tế Gioiađa đặt các toán canh giữ đền thờ Chúa. Toàn dân trong xứ hân hoan, và thành đô được bằng yên: vì bà Athalia bị giết trong đền vua.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 131, 11, 12.13-14. 17-18","response":"Ðáp: Chúa đã kén chọn Sion làm nơi cư ngụ cho mình","verses":["Xướng: Chúa đã thề hứa cùng Ðavít một lời hứa quả quyết mà Người sẽ chẳng rút lời. Rằng: “Ta sẽ đặt lên ngai báu của ngươi một người con cháu thuộc dòng giống của ngươi”.","Xướng: Nếu các con ngươi tuân giữ điều ước của Ta, và những luật lệ mà Ta ban ra dạy chúng, thì cả con cháu chúng cũng được muôn đời ngồi cai trị trên ngai báu của ngươi.","Xướng: Bởi chưng Chúa đã kén chọn Sion, đã thích lựa Sion làm nơi cư ngụ cho mình. Người phán: “Ðây là nơi nghỉ ngơi của Ta tới muôn đời, Ta sẽ cư ngụ nơi đây, vì Ta ưa thích”.","Xướng: Tại đó, Ta sẽ gầy dựng một uy quyền cho Ðavít, sẽ chuẩn bị ngọn đèn sáng cho người được Ta xức dầu. Ta sẽ bắt những kẻ thù ghét người tủi hổ, nhưng triều thiên của Ta chiếu sáng rực rỡ trên mình người."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay ai có tâm hồn nghèo khó, vì Nước Trời là của họ. Alleluia."},"gospel":{"excerpt":"Mt 6, 19-23","info":"“Kho tàng con ở đâu, thì lòng con cũng ở đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đừng tích trữ cho mình kho tàng dưới đất: là nơi ten sét mối mọt sẽ làm hư nát, và trộm cướp sẽ đào ngạch lấy mất, nhưng các con hãy tích trữ cho mình kho tàng trên trời: là nơi không có ten sét, mối mọt không làm hư nát, trộm cướp không đào ngạch lấy mất: Vì kho tàng con ở đâu, thì lòng con cũng ở đó. Con mắt là đèn soi cho thân xác con. Nếu mắt con trong sáng, thì toàn thân con được sáng. Nhưng nếu mắt con xấu kém, thì toàn thân con phải tối tăm. Vậy nếu sự sáng trong con tối tăm, thì chính sự tối tăm, sẽ ra tối tăm biết chừng nào?”","end":"Ðó là lời Chúa"}},
+        "5116": {"firstReading":{"excerpt":"(Năm II) 2 Sb 24, 17-25","info":"“Các ngươi đã giết Dacaria giữa đền thờ và bàn thờ”.","title":"Trích sách Sử Biên niên quyển thứ hai.","content":"Sau khi Gioiađa qua đời, các thủ lãnh Giuđa vào lạy vua. Vì họ dua nịnh, nên vua xiêu lòng nghe theo họ. Họ bỏ phế đền thờ Chúa là Thiên Chúa tổ phụ họ, để tôn thờ những cây cọc thiêng và các tượng thần. Vì tội ấy, cơn thịnh nộ Chúa giáng trên Giuđa và Giêrusalem. Chúa sai các tiên tri đến cùng họ để họ quay về với Chúa. Các vị này tuyên chứng, nhưng họ chẳng muốn nghe. Thần trí Thiên Chúa đổ xuống trên ông Dacaria, con vị tư tế Gioiađa. Ông đứng trước mặt dân chúng và bảo họ rằng: “Ðây lời Chúa là Thiên Chúa phán: Tại sao các ngươi lỗi phạm giới răn Chúa? Ðó là điều bất lợi cho các ngươi. Các ngươi đã bỏ Chúa thì Chúa sẽ bỏ các ngươi”. Họ liền họp nhau chống lại người, và theo lệnh vua, họ ném đá người ở hành lang đền thờ Chúa. Vua Gioas không nhớ lòng nhân từ mà Gioiađa, cha người, đã đối xử với nhà vua, mà lại giết con của Gioiađa. Khi sắp chết, người nói rằng: “Xin Chúa hãy nhìn xem và xét xử họ”.\rHết năm ấy, quân đội Syria tiến lên đánh vua Gioas: họ đến xứ Giuđa và thành Giêrusalem, giết hết các thủ lãnh trong dân, và cướp lấy của cải đem về cho vua ở Ðamas. Dù số người Syria chẳng bao nhiêu, nhưng Chúa đã trao vào tay họ dân đông vô số, vì chúng đã bỏ Chúa là Thiên Chúa tổ phụ mình. Quân Syria cũng làm sỉ nhục vua Gioas. Khi họ bỏ vua mà đi, thì vua lâm trọng bệnh. Thần dân nổi dậy chống lại vua, để báo thù giòng máu của con tư tế Gioiađa. Họ giết vua ngay trên giường, và ông đã chết. Họ mai táng ông trong thành Ðavít, nhưng không chôn ông trong mồ các vua.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 88, 4-5. 29-30. 31-32. 33-34","response":"Ðáp: Ðời đời Ta sẽ dành cho người lòng sủng ái (c. 29a).","verses":["Xướng: Ta đã ký minh ước cùng người Ta tuyển lựa, Ta đã thề cùng Ðavít là tôi tớ của Ta rằng: “Cho tới muôn đời Ta bảo tồn miêu duệ của ngươi, và Ta thiết lập ngai báu ngươi qua muôn thế hệ”.","Xướng: Ðời đời Ta sẽ dành cho người lòng sủng ái, và lời ước Ta ký với người sẽ được mãi mãi duy trì. Ta sẽ gìn giữ miêu duệ người tới muôn đời, và ngai báu người như những ngày của cõi cao xanh.","Xướng: Nếu con cháu người bỏ không tuân luật pháp, và không ăn ở theo huấn lệnh của Ta, nếu chúng vi phạm những thánh chỉ, và không vâng giữ các chỉ thị của Ta.","Xướng: Ta sẽ dùng roi để phạt tội chúng, và Ta sẽ đánh đòn để sửa lỗi, nhưng Ta sẽ không rút lại tình thương đối với người, vì Ta cũng không phản bội lòng trung tín của Ta."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mt 6, 24-34","info":"“Các con chớ áy náy lo lắng về ngày mai”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không ai có thể làm tôi hai chủ: vì hoặc nó sẽ ghét người này, và yêu mến người kia, hoặc nó chuộng chủ này, và khinh chủ nọ. Các con không thể làm tôi Thiên Chúa và Tiền Của được. Vì thế, Thầy bảo các con: Chớ áy náy lo lắng cho mạng sống mình: lấy gì mà ăn; hay cho thân xác các con: lấy gì mà mặc. Nào mạng sống không hơn của ăn, và thân xác không hơn áo mặc sao?\r“Hãy nhìn xem chim trời, chúng không gieo, không gặt, không thu vào lẫm, thế mà Cha các con trên trời vẫn nuôi chúng. Nào các con không hơn chúng sao? Nào có ai trong các con lo lắng áy náy mà có thể làm cho mình cao thêm một gang được ư? Còn về áo mặc, các con lo lắng làm gì? Hãy ngắm xem hoa huệ ngoài đồng coi chúng mọc lên thế nào? Chúng không làm lụng, không canh cửi. Nhưng Thầy nói với các con rằng: Ngay cả Salomon trong tất cả vinh quang của ông, cũng không phục sức được bằng một trong những đoá hoa đó. Vậy nếu hoa cỏ đồng nội, nay còn, mai bị ném vào lò lửa, mà còn được Thiên Chúa mặc cho như thế, huống chi là các con, hỡi những kẻ kém lòng tin. Vậy các con chớ áy náy lo lắng mà nói rằng: “Chúng ta sẽ ăn gì, uống gì hoặc sẽ lấy gì mà mặc? Vì chưng, dân ngoại tìm kiếm những điều đó. Nhưng Cha các con biết rõ các con cần đến những điều đó. Tiên vàn các con hãy tìm kiếm nước Thiên Chúa và sự công chính của Người, còn các điều đó Người sẽ ban thêm cho các con. Vậy các con chớ áy náy lo lắng về ngày mai. Vì ngày mai sẽ lo cho ngày mai. Ngày nào có sự khốn khổ của ngày ấy”.","end":"Ðó là lời Chúa"}},
+        "5121": {"firstReading":{"excerpt":"(Năm II) 2 V 17, 5-8. 13-15a. 18","info":"“Chúa xua đuổi Israel khỏi mặt Chúa và chỉ còn lại chi họ Giuđa”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong những ngày ấy, Salmanassar, vua dân Assyria, xâm chiếm khắp miền và bao vây Samaria trong ba năm. Năm thứ chín đời vua Hôsê, vua Assyria chiếm được Samaria, và đem dân Israel sang Assyria, định cư họ ở Hala và ở Habor, gần sông Gozan, và trong các thành thuộc nước Mêđia.\rXảy ra như thế, vì con cái Israel phạm đến Chúa là Thiên Chúa họ, Ðấng đã đưa họ ra khỏi Ai-cập, khỏi quyền lực Pharaon, vua nước Ai-cập. Họ đã thờ các thần ngoại bang; họ noi theo các tập tục của dân ngoại mà Chúa đã xua đuổi trước bước tiến của con cái Israel, và họ đã theo các nghi lễ mà vua Israel đã quy định.\rChúa đã dùng các tiên tri, các vị tiên kiến mà khuyến cáo Israel và Giuđa rằng: “Các ngươi hãy cải tà quy chính, hãy tuân giữ các điều răn và nghi lễ, theo đúng lề luật Ta đã dùng các tiên tri tôi tớ Ta mà truyền cho cha ông các ngươi, và chuyển lại cho các ngươi”. Nhưng họ không muốn nghe. Họ cứ cứng đầu cứng cổ như cha ông họ, không muốn vâng phục Chúa là Thiên Chúa. Họ chối bỏ các huấn lệnh của Chúa và lời giao ước Người đã ký kết với cha ông họ, và cả những mệnh lệnh rõ ràng Người đã truyền, nên Chúa nổi giận dân Israel, và xua đuổi họ khỏi mặt Chúa. Chỉ còn lại chi họ Giuđa mà thôi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 59, 3. 4-5. 12-13","response":"Ðáp: Lạy Chúa, xin Chúa ra tay hữu phù trợ và nhậm lời chúng con (c. 7b).","verses":["Xướng: Ôi Thiên Chúa, Ngài đã hất hủi chúng con, Ngài đã làm cho hàng ngũ chúng con tan rã, Ngài đã thịnh nộ, nhưng xin cho chúng con được phục hồi!","Xướng: Ngài đã rung động đất nước và xâu xé, xin hàn lại chỗ đổ vỡ, vì nó đang xiêu té. Chúa để dân Ngài gặp những thử thách cam go, Ngài cho chúng con uống thứ rượu say mê choáng váng.","Xướng: Ôi Thiên Chúa, há không phải Ngài đã hất hủi chúng con ư? Ôi Thiên Chúa, Ngài đã không xuất trận cùng quân đội chúng con. Xin Chúa giúp đỡ chúng con chống lại quân thù, vì sự hỗ trợ của người trần là vộ hiệu quả."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mt 7, 1-5","info":"“Hãy lấy cái đà khỏi mắt ngươi trước đã”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con đừng đoán xét để khỏi bị đoán xét. Các con đoán xét thể nào thì các con cũng bị đoán xét như vậy. Các con dùng đấu nào mà đong, thì cũng sẽ đong lại cho các con bằng đấu ấy. Sao ngươi thấy cái rác trong mắt anh em, mà không thấy cái đà trong mắt ngươi? Hoặc sao ngươi bảo anh em: “Ðể tôi lấy cái rác ra khỏi mắt anh”, và này: cái đà đang ở trong mắt ngươi. Ðồ giả hình, hãy lấy cái đà khỏi mắt ngươi trước đã, rồi ngươi sẽ thấy rõ để lấy cái rác ra khỏi mắt anh em ngươi”.","end":"Ðó là lời Chúa"}},
+        "5122": {"firstReading":{"excerpt":"(Năm II) 2 V 19, 9b-11. 14-21. 31-35a. 36","info":"“Ta sẽ che chở và cứu thành này vì danh Ta cùng vì Ðavít”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong các ngày ấy, Sennakêrib, vua dân Assyria, đã phái các sứ giả đến với vua Êdêkia và dặn rằng: “Các ngươi hãy nói với Êdêkia, vua Giuđa như thế này: “Chớ để Thiên Chúa, mà vua tin cậy, mê hoặc vua nghĩ rằng: Thành Giêrusalem sẽ không bị lọt vào tay vua dân Assyria. Vì chưng chính đức vua đã nghe biết những gì các vua Assyria đã làm khắp mọi nơi, đã tàn phá các nơi đó thế nào. Có lẽ nào một mình vua sẽ thoát khỏi?”. Vua Êdêkia đã nhận và đọc thư do các sứ giả trao cho, vua lên đền thờ Chúa, trải bức thư đó ra trước mặt Chúa, và cầu nguyện cùng Chúa rằng: “Lạy Chúa là Thiên Chúa Israel, Ðấng ngự trên các Vệ Binh thần, chỉ một mình Chúa là Thiên Chúa các vua trên mặt đất, Chúa đã dựng nên trời đất, xin lắng tai nghe; lạy Chúa, xin mở mắt nhìn xem. Chúa hãy nghe các lời vua Sennakêrib đã gửi đến, để lăng mạ Chúa hằng sống của chúng con. Lạy Chúa, quả thật các vua dân Assyria đã huỷ diệt các dân và đất đai chúng, đã vất các tượng thần của chúng vào lửa: vì các tượng thần đó không phải là Chúa, song là sản phẩm bằng gỗ đá do tay người phàm làm ra, nên bị họ huỷ diệt. Vậy giờ đây, lạy Chúa là Thiên Chúa chúng con, xin cứu chúng con khỏi tay vua Sennakêrib, để mọi vương quốc hoàn cầu biết rằng: chỉ có mình Chúa là Thiên Chúa”.\rVậy Isaia con trai Amos sai người đến tâu vua Êdêkia rằng: “Ðây là những điều Chúa là Thiên Chúa Israel phán: Ta đã nghe các điều ngươi cầu xin Ta về Sennakêrib, vua dân Assyria. Ðây là lời Thiên Chúa phán về vua ấy: Trinh nữ Sion khinh chê và cười ngạo ngươi; thiếu nữ Giêrusalem chế diễu sau lưng ngươi. Từ Giêrusalem sẽ còn lại một số người, và từ núi Sion sẽ có một số người được cứu thoát: Ðó là điều mà lòng nhiệt thành của Chúa các đạo binh sẽ thực hiện. Bởi thế, Chúa phán những điều này về vua dân Assyria: Vua sẽ không vào được thành này, sẽ chẳng bắn được một mũi tên nào vào thành, chẳng dùng thuẫn mà vây hãm thành, chẳng đắp lũy quanh thành: vua tới lối nào thì sẽ về lối ấy, và sẽ không vào được thành này, đó là lời sấm của Chúa. Ta sẽ che chở và cứu thành này, vì danh Ta cùng vì Ðavít tôi tớ Ta”.\rChính đêm ấy, thiên thần Chúa đến giết một trăm tám mươi lăm ngàn người trong trại quân Assyria. Sennakêrib, vua dân Assyria, trở về và ở lại thành Ninivê.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 47, 2-3a. 3b-4. 10-11","response":"Ðáp: Thiên Chúa kiên thủ thành của Người tới muôn đời (c. 9d).","verses":["Xướng: Chúa vĩ đại và rất đáng ngợi khen, trong thành trì của Thiên Chúa chúng ta. Núi thánh của Ngài là ngọn đồi duyên dáng, là niềm hoan lạc của khắp cả địa cầu.","Xướng: Núi Sion là cùng kiệt Phương Bắc, là thành trì của Ðức Ðại Ðế. Thiên Chúa ngự trong thành quách của Người, tự chứng tỏ Người là an toàn chiến luỹ.","Xướng: Ôi Thiên Chúa, chúng con tưởng nhớ lại lòng thương của Chúa, ngay trong nơi đền thánh của Ngài. Ôi Thiên Chúa, cũng như thánh danh Ngài, lời khen ngợi Ngài sẽ vang cùng cõi đất. Tay hữu Ngài đầy đức công minh."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 7, 6. 12-14","info":"“Tất cả những gì các con muốn người ta làm cho các con, thì hãy làm cho người ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Ðừng lấy của thánh mà cho chó, và đừng vất ngọc trai trước mặt heo, kẻo chúng giày đạp dưới chân, rồi quay lại cắn xé các con.\r“Vậy tất cả những gì các con muốn người ta làm cho các con, thì chính các con hãy làm cho người ta như thế! Ðấy là điều mà lề luật và các tiên tri dạy.\r“Các con hãy vào qua cửa hẹp, vì cửa rộng và đường thênh thang là lối đưa đến hư mất, và có nhiều kẻ đi lối ấy; cửa và đường đưa tới sự sống thì chật hẹp, và ít kẻ tìm thấy”.","end":"Ðó là lời Chúa"}},
+        "5123": {"firstReading":{"excerpt":"(Năm II) 2 V 22, 8-13; 23, 1-3","info":"“Vua đọc cho mọi người nghe lời sách giao ước đã tìm thấy trong Nhà Chúa, ký kết giao ước trước mặt Chúa”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Trong những ngày ấy, thượng tế Helcia nói với thư ký Saphan rằng: “Tôi tìm thấy sách luật trong Nhà Chúa”. Helcia trao sách cho Saphan đọc. Rồi thư ký Saphan đến cùng vua, và thuật lại cho vua rằng: Tôi tớ vua đã thu lượm số bạc dâng cúng trong nhà Chúa, và trao cho đốc công nơi Ðền thờ Chúa, để phát lương cho thợ. Thư ký Saphan cũng thuật cho vua rằng: “Tư tế Helcia đã trao cho tôi cuốn sách”. Thư ký Saphan đã đọc sách đó trước mặt vua. Khi nghe lời sách luật Chúa, vua liền xé áo mình, rồi truyền cho tư tế Helcia và Ahica con Saphan, Acôbor con Mica, và thư ký Saphan cùng Asaia người hầu cận vua rằng: “Các ngươi hãy đi hỏi ý Chúa cho trẫm, cho toàn dân và cho nhà Giuđa, về các lời sách vừa tìm thấy. Cơn thịnh nộ của Chúa đối với chúng ta nặng nề lắm, vì cha ông chúng ta không tuân giữ các lời trong sách này”. Họ thuật lại cho vua các lời của Chúa.\rBấy giờ vua sai đi triệu tập các trưởng lão Giuđa và Giêrusalem đến cùng vua. Vua lên Ðền thờ Chúa với những người thuộc chi tộc Giuđa, toàn thể dân cư Giêrusalem, các tư tế, các tiên tri và toàn dân lớn bé, ông đọc cho mọi người nghe lời sách giao ước đã tìm thấy trong Nhà Chúa. Vua đứng trên bệ, ký kết giao ước trước mặt Chúa, để ai nấy đi theo Chúa, cùng hết lòng hết sức tuân giữ các huấn lệnh, các lề luật và nghi lễ của Chúa. Họ làm sống lại các lời giao ước đã ghi chép trong sách này: cả dân đều chấp nhận bản giao ước.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 33. 34. 35. 36. 37. 40","response":"Ðáp: Lạy Chúa, xin dạy bảo con đường lối thánh chỉ Ngài (c. 33a).","verses":["Xướng: Lạy Chúa, xin dạy bảo con đường lối thánh chỉ Ngài, để con tuân giữ cho bằng triệt để.","Xướng: Xin dạy con để con vâng theo luật pháp Ngài, và để con hết lòng tuân giữ luật đó.","Xướng: Xin hướng dẫn con vào đường lối chỉ chị Ngài, vì chính trong đường lối này con sung sướng.","Xướng: Xin nghiêng lòng con theo lời Ngài nghiêm huấn, và chớ để con sa ngã vào chỗ lợi danh.","Xướng: Xin cho con ngoảnh mặt, khỏi thấy cảnh phù vân; xin cho con được sống noi theo đường lối Chúa.","Xướng: Này đây, con khao khát huấn lệnh của Ngài, theo lượng công minh Ngài, xin cho con được sống."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Chúa phán: “Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy”. – Alleluia."},"gospel":{"excerpt":"Mt 7, 15-20","info":"“Hãy xem quả thì các con sẽ biết chúng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hãy coi chừng các tiên tri giả. Họ mặc lốt chiên đến cùng các con, nhưng bên trong, họ là sói dữ hay cắn xé. Hãy xem quả thì các con sẽ biết được chúng. Nào ai hái được trái nho nơi bụi gai, hoặc trái vả nơi bụi găng sao? Cũng thế, cây tốt thì sinh trái tốt, còn cây xấu thì sinh trái xấu. Cây tốt không thể sinh trái xấu, và cây xấu không thể sinh trái tốt. Các cây không sinh trái tốt sẽ bị chặt đi và ném vào lửa. Vậy coi trái thì các con sẽ nhận biết được chúng”.","end":"Ðó là lời Chúa"}},
+        "5124": {"firstReading":{"excerpt":"(Năm II) 2 V 24, 8-17","info":"“Vua Babylon dẫn về Babylon Gioakim, và tất cả những binh sĩ thiện chiến làm tù binh”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Khi lên ngôi, vua Gioakim mới mười tám tuổi, và trị vì ở Giêrusalem ba tháng. Tên mẹ vua là Naestha, ái nữ của Elna-than, quê ở Giêrusalem. Vua làm điều mất lòng Chúa cũng như cha vua đã làm xưa.\rKhi ấy binh sĩ của Nabucôđônôsôr, vua Babylon, tiến đến vây Giêrusalem. Nabucôđônôsôr, vua Babylon, thân chinh điều khiển binh sĩ đến tận nơi để tấn công thành. Khi ấy Gioakim, vua Giuđa, đầu hàng vua Babylon, cùng với mẹ, binh sĩ, quan tước và các thái giám. Vua Babylon bắt họ làm tù binh, khi ấy là năm thứ tám triều vua Babylon. Vua này mang về tất cả kho tàng của đền thờ Chúa, và đền vua, ông đập vỡ tất cả các bình vàng mà Salomon, vua Israel, đã đúc cho cung thánh của Chúa, như thế ứng nghiệm lời Chúa đã phán. Vua đã đem toàn thể Giêrusalem đi đày, gồm các sĩ quan, mười ngàn binh lính cường tráng, các thứ thợ thủ công, thợ rèn, không sót lại gì cả, ngoại trừ đám dân nghèo. Vua cũng dẫn về Babylon làm tù binh vua Gioakim và thái hậu, các hoàng hậu, các thái giám, những bậc vị vọng, bảy ngàn trai tráng, một ngàn thợ làm nghề thủ công, thợ rèn, tất cả những binh sĩ thiện chiến. Vua Babylon dẫn họ sang Babylon làm tù binh. Vua đặt hoàng thúc Matthania làm vua thay Gioakim, và đổi tên ông là Seđecia.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 78, 1-2. 3-5. 8. 9","response":"Ðáp: Lạy Chúa, xin giải thoát chúng con vì vinh quang danh Chúa (c. 9bc).","verses":["Xướng: Ôi Thiên Chúa, ngoại bang đã xông vào gia nghiệp Chúa, họ làm ô uế thánh điện của Ngài, họ biến Giêrusalem thành nơi đổ nát! Họ ném tử thi thần dân Chúa làm mồi nuôi chim trời, và huyết nhục tín đồ Ngài cho muông thú đồng hoang.","Xướng: Họ đổ máu chư vị đó dường như nước lã quanh Giêrusalem mà không có kẻ chôn vùi. Chúng con bị bêu ra cho láng giềng phỉ nhổ, cho lân bang chế diễu nhạo cười! Tới ngày nào, lạy Chúa, Chúa còn giận mãi? Và lòng ghen hận Chúa còn như lửa nấu nung?","Xướng: Xin đừng nhớ lỗi tiền nhân để trị chúng con; xin kíp mở lòng từ bi đón nhận chúng con, vì chúng con lầm than quá đỗi!","Xướng: Ôi Thiên Chúa, Ðấng cứu độ chúng con, xin phù trợ chúng con vì vinh quang danh Chúa; xin giải thoát và tha tội chúng con vì danh Ngài."]},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"alleluia! – Ngôi lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 7, 21-29","info":"“Nhà xây trên nền đá và nhà xây trên cát”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không phải tất cả những ai nói với Thầy: “Lạy Chúa, Lạy Chúa”, là được vào nước trời, nhưng chỉ có người thực hiện ý Cha Thầy ở trên trời, kẻ ấy mới được vào nước trời. Trong ngày đó, nhiều người sẽ nói với Thầy rằng: “Lạy Chúa, Lạy Chúa, nào chúng con đã không nhân danh Chúa mà nói tiên tri, nhân danh Chúa mà trừ quỷ, và nhân danh Chúa mà làm nhiều phép lạ đó ư?” Và bấy giờ Thầy sẽ tuyên bố với chúng rằng: “Ta chẳng hề biết các ngươi, hỡi những kẻ làm điều gian ác, hãy lui ra khỏi mặt Ta”.\r“Vậy ai nghe những lời Thầy nói đây và đem thực hành, thì giống như người khôn ngoan, đã xây nhà mình trên đá; mưa có đổ xuống, nước có tràn vào, gió bão có thổi đến và lùa vào nhà đó, nhà đó vẫn không sập, vì nhà ấy được xây trên đá. Và hễ ai nghe những lời Thầy nói đây mà không đem ra thực hành, thì giống như người ngu đần, xây nhà mình trên cát, khi mưa sa nước lũ, gió thổi và lùa vào nhà đó, nhà sẽ sập và sẽ trở nên đống hoang tàn”.\rKhi Chúa đã nói xong những lời trên, dân chúng kinh ngạc về giáo lý của Người: vì Người dạy dỗ họ như Ðấng có quyền, chứ không như luật sĩ và các biệt phái của họ.","end":"Ðó là lời Chúa"}},
+        "5125": {"firstReading":{"excerpt":"(Năm II) 2 V 25, 1-12","info":"“Cả dân Giuđa bị di chuyển khỏi lãnh thổ mình”.","title":"Trích sách Các Vua quyển thứ hai.","content":"Ngày mồng mười tháng mười năm thứ chín triều đại Sêđêcia đã xảy ra như thế này: Nabucôđônôsor vua Babylon kéo cả đạo quân tấn công Giêrusalem, dựng trại quanh thành và đào hầm quanh tường thành. Thành bị bao vây cho tới năm thứ mười một đời vua Sêđêcia. Ngày mồng chín tháng tư, nạn đói hoành hành trong thành, dân chúng không còn bánh ăn. Tường thành bị chọc thủng một khoảng, thừa đêm tối tất cả các chiến sĩ chạy trốn qua lối cửa giữa hai tường, gần vườn vua. Khi ấy, quân Calđê vẫn bao vây thành. Vậy vua Sêđêcia chạy trốn qua con đường đi Araba. Nhưng quân Calđê đuổi theo kịp vua tại cánh đồng Giêricô: tất cả các chiến sĩ hộ tống vua đều bỏ vua mà chạy tứ tán.\rSêđêcia bị bắt và điệu về cho vua Babylon đang ngự tại Rebla: vua này tuyên án xử ngài; rồi truyền giết các con của Sêđêcia ngay trước mặt ngài, truyền khoét mắt vua và xiềng vua dẫn về Babylon.\rNgày mồng bảy tháng năm, chính là năm thứ mười chín triều đại vua Babylon, Nabuzarđan tướng quân, cận thần vua Baby-lon, đến Giêrusalem: đốt đền thờ Chúa, đền vua, và tất cả các nhà ở Giêrusalem. Tất cả các nhà đồ sộ, ông nổi lửa đốt hết. Quân binh Calđê đang ở với tướng quân, triệt hạ tường thành bao quanh Giêrusalem.\rNabuzarđan tướng quân bắt đi phần dân còn sót trong thành, cả những kẻ trốn theo vua Babylon và tất cả những người khác. Còn hạng cùng đinh chỉ để lại (làm) những kẻ trồng nho và những người làm ruộng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 136, 1-2. 3. 4-5. 6","response":"Ðáp: Lưỡi tôi dính vào cuống họng, nếu tôi không nhớ đến ngươi (c. 6a).","verses":["Xướng: Trên bờ sông Babylon, chúng tôi ngồi khóc nức nở khi tưởng nhớ đến núi Sion. Trên những cây dương liễu miền đó, chúng tôi treo các cây lục huyền cầm của chúng tôi.","Xướng: Vì nơi này, quân canh ngục đòi chúng tôi vui vẻ hát lên. Họ giục chúng tôi rằng: “Hãy vui mừng; hãy hát cho chúng ta nghe điệu ca Sion”.","Xướng: Lẽ nào chúng tôi ca hát ngợi khen Thiên Chúa trên đất khách quê người? Hỡi Giêrusalem, nếu tôi lại quên ngươi, thì cánh tay tôi sẽ bị khô đét.","Xướng: Lưỡi tôi dính vào cuống họng nếu tôi không nhớ đến ngươi, nếu tôi không đặt Giêrusalem trên tất cả mọi niềm vui thoả."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mt 8, 1-4","info":"“Nếu Ngài muốn, Ngài có thể chữa tôi được sạch”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi Chúa Giêsu ở trên núi xuống, đám đông dân chúng theo Người. Có một người cùi đến lạy Người mà thưa rằng: “Lạy Ngài, nếu Ngài muốn, Ngài có thể chữa tôi được sạch”. Chúa Giêsu giơ tay ra chạm đến anh ta và phán: “Ta muốn. Anh hãy lành bệnh”. Tức thì anh ta liền lành khỏi bệnh phong cùi. Chúa Giêsu phán bảo anh ta: “Hãy ý tứ, đừng nói với ai. Hãy đi trình diện với tư tế và dâng của lễ theo luật Môsê để minh chứng cho họ biết”.","end":"Ðó là lời Chúa"}},
+        "5126": {"firstReading":{"excerpt":"(Năm II) Ac 2, 2. 10-14. 18-19","info":"“Trên tường thành thiếu nữ Sion, lòng họ kêu vang lên Thiên Chúa”.","title":"Trích sách Ai Ca.","content":"Chúa phá tan các báu vật nhà Giacóp chẳng nương tay: trong cơn thịnh nộ, Chúa phá huỷ thành luỹ thiếu nữ Giuđa. Người quật xuống đất và làm sỉ nhục cả vương quốc, cả quan chức cao sang.\rCác kỳ lão của thiếu nữ Sion ngồi dưới đất thinh lặng, mình mang áo nhặm và rắc tro trên đầu. Còn các trinh nữ Giêrusalem gục đầu xuống đất. Mắt tôi hao mòn vì quá khóc than, lòng tôi bàng hoàng thổn thức, gan tôi đổ tràn trên đất, vì các tai hoạ của thiếu nữ dân tôi: các trẻ thơ, hài nhi măng sữa, xỉu la liệt giữa phố phường. Chúng xin mẹ: “Bánh mì rượu tốt ở đâu?” Chúng ngã xỉu ngoài đường phố như bị gươm đao. Chúng tắt thở ngay nơi lòng mẹ.\rHỡi thiếu nữ Giêrusalem, ta sánh ngươi cùng ai, ta ví ngươi như kẻ nào? Hỡi trinh nữ Sion, ta sánh ngươi cùng ai để an ủi? Vì nỗi khổ ngươi man mác tựa biển khơi, nào ai chữa nổi ngươi? Các tiên tri của ngươi nói bậy nói sai, chẳng vạch cho ngươi một vài gian ác, cùng chẳng giục ngươi khóc lóc ăn năn, mà chỉ tiên kiến những điều giả dối, khiến ngươi bị trục xuất và lưu đày.\rTrên tường thành thiếu nữ Sion, lòng họ kêu vang lên Chúa. Hãy chan hoà suối lệ đêm ngày, đừng để mắt ngươi yên nghỉ. Hãy chỗi dậy, hãy ca ngợi mỗi đầu canh đêm, hãy giốc đổ lòng ra như nước trước Nhan Chúa, hãy giơ tay cầu khẩn Chúa cho lũ trẻ thơ, chúng ngã xỉu vì đói ở góc đường xó chợ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 73, 1-2. 3-5a. 5b-7. 20-21","response":"Ðáp: Ðời sống con người cơ khổ, xin Chúa đừng nỡ quên hoài (c. 19b).","verses":["Xướng: Lạy Chúa, tại sao Chúa ruồng bỏ chúng con hoài? Tại sao Chúa nung nấu lửa hận với đoàn chiên Chúa? Xin nhớ lại cộng đồng Chúa thiết lập tự thuở xa xưa, xin nhớ bộ lạc Chúa đã chuộc để làm phần tư hữu, xin nhớ lại núi Sion, nơi Chúa đã đặt ngai toà!","Xướng: Xin Chúa dời gót tới nơi hoang tàn vĩnh viễn: tên thù đã tàn phá hết trong thánh điện của Ngài. Trong hội đường của Chúa, quân nghịch đã rống lên, chúng đã đặt cờ hiệu của chúng trên đài chiến thắng.","Xướng: Chúng giống như kẻ trong rừng rậm vung lưỡi rìu! Chúng cũng dùng rìu búa bổ vào cửa hội đường như thế, chúng đã châm lửa đốt thánh điện của Ngài, chúng chà đạp cung lâu danh Ngài tận đất!","Xướng: Xin Chúa nhìn lại lời minh ước, vì nơi hang hốc và đồng ruộng đầy dẫy bạo hành. Xin đừng để người khiêm cung trở về tủi hổ, xin cho người cơ hàn nghèo khổ được ngợi khen danh Chúa."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 8, 5-17","info":"“Những người từ phương đông và phương tây sẽ đến trong nước trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu vào thành Capharnaum, thì có một đại đội trưởng đến thưa Chúa rằng: “Lạy Thầy, thằng nhỏ nhà tôi đau nằm ở nhà, nó bị tê liệt đau đớn lắm!” Chúa Giêsu phán bảo ông rằng: “Tôi sẽ đến chữa nó”. Nhưng viên đại đội trưởng thưa Người rằng: “Lạy Thầy, tôi không đáng được Thầy vào dưới mái nhà tôi, nhưng xin Thầy chỉ phán một lời, thì thằng nhỏ của tôi sẽ lành mạnh. Vì chưng, cũng như tôi chỉ là người ở dưới quyền, nhưng tôi cũng có những người lính thuộc hạ, tôi bảo người này đi thì anh đi, tôi bảo người kia đến thì anh đến, tôi bảo gia nhân làm cái này thì nó làm!” Nghe vậy, Chúa Giêsu ngạc nhiên và nói với những kẻ theo Người rằng: “Quả thật, Ta bảo các ngươi, Ta không thấy một lòng tin mạnh mẽ như vậy trong Israel. Ta cũng nói cho các ngươi biết rằng: nhiều người từ phương đông và phương tây sẽ đến dự tiệc cùng Abraham, Isaac và Giacóp trong nước trời. Còn con cái trong nước sẽ bị vứt vào nơi tối tăm bên ngoài, ở đó sẽ phải khóc lóc nghiến răng”. Ðoạn Chúa nói với viên sĩ quan rằng: “Ông cứ về, ông được như ông đã tin”. Và ngay giờ ấy, gia nhân ông đã được lành mạnh.\rKhi Chúa Giêsu vào nhà ông Phêrô, thấy bà mẹ vợ ông đang sốt rét liệt giường. Chúa chạm đến tay bà và cơn sốt biến đi. Bà chỗi dậy tiếp đãi các ngài.\rÐến chiều, họ đưa đến cho Chúa nhiều người bị quỷ ám: Chúa dùng lời đuổi quỷ, và chữa lành tất cả các bệnh nhân, để ứng nghiệm lời tiên tri Isaia nói rằng: “Người đã gánh lấy các bệnh tật của chúng ta, và đã mang lấy những nỗi đau thương của chúng ta”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year2-ordinary-3", {
+    "ORDINARY_Y2": {
+        "5131": {"firstReading":{"excerpt":"(Năm II) Am 2, 6-10. 13-16","info":"“Chúng sẽ dập đầu kẻ cùng khổ xuống bùn đất”.","title":"Trích sách Tiên tri Amos.","content":"Ðây Chúa phán: “Vì ba tội ác của dân Israel, và vì bốn tội, Ta sẽ không rút lại quyết định của Ta nữa: vì chúng sẽ bán người công chính để lấy tiền, sẽ buôn kẻ nghèo khó để kiếm một đôi giầy! Chúng đã dập đầu kẻ khốn cùng nghèo khó xuống bùn đất, chặn lối người hèn hạ. Vì cả cha con chúng cùng tìm đến một cô gái để xúc phạm thánh danh Ta. Chúng nằm lên đống y phục thế nợ gần mỗi bàn thờ, chúng uống rượu của kẻ chúng đã bắt nộp phạt ngay trong ngôi chùa vị thần chúng thờ.\rTa đã tiêu diệt dân Amorrhê trước mặt chúng, dân ấy cao lớn như cây bá hương, và cường tráng như cây sồi. Ta đã tiêu diệt từ hoa trái trên cao đến tận gốc rễ dưới thấp. Chính Ta đã dẫn các ngươi ra khỏi đất Ai-cập, dẫn dắt các ngươi suốt bốn mươi năm trong sa mạc, để các ngươi chiếm lấy đất Amorrhê.\rNày, Ta sẽ đè nặng trên các ngươi, làm cho các ngươi rên siết như tiếng rít của một chiếc xe chở đầy cỏ bị kẹt. Người mau lẹ cũng sẽ không trốn thoát được, kẻ mạnh sức cũng không dùng được sức mình, kẻ can trường cũng không thoát chết; người mang cung nỏ cũng không đứng vững, kẻ lanh chân cũng chẳng chạy thoát, người kỵ mã cũng hết đường trốn tránh; kẻ can đảm nhất trong muôn người can đảm, trong ngày đó, cũng sẽ phải trốn thoát mình trần”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 16bc-17. 18-19. 20-21. 22-23","response":"Ðáp: Hãy am hiểu điều đó, hỡi những người quên Thiên Chúa (c. 22a).","verses":["Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta? Ngươi là kẻ không ưa lời giáo huấn, và ném bỏ lời Ta lại sau lưng?","Xướng: Gặp tên trộm cắp, ngươi liền bén gót chạy theo, và ngươi đồng lõa với những kẻ ngoại tình. Ngươi buông miệng để tha hồ nói xấu, và lưỡi ngươi thêu dệt những chuyện gian ngoa.","Xướng: Ngươi ngồi đâu là buông lời nói xấu anh em, làm tủi nhục cho người con cùng mẹ với ngươi. Ngươi làm thế mà Ta đành yên lặng? Ngươi đã tưởng rằng Ta giống như ngươi? Ta sẽ bắt lỗi, sẽ phơi bày trước mặt ngươi tất cả .","Xướng: Hãy am hiểu điều đó, hỡi những người quên Thiên Chúa, kẻo khi Ta bắt mang đi, thì không ai giải thoát cho. Ai hiến dâng lời khen ngợi, người đó trọng kính Ta; ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 8, 18-22","info":"“Con hãy theo Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thấy đám đông dân chúng vây quanh Người, thì Người ra lệnh sang qua bờ bên kia. Một luật sĩ đến thưa Người rằng: “Lạy Thầy, bất cứ Thầy đi đâu, con cũng xin theo Thầy”. Chúa Giêsu trả lời: “Con chồn có hang, chim trời có tổ, Con Người không có chỗ gối đầu”. Một môn đệ khác thưa Người rằng: “Thưa Thầy, xin cho phép con về chôn cất cha con trước đã”. Chúa Giêsu trả lời: “Con hãy theo Ta, và hãy để kẻ chết chôn kẻ chết”.","end":"Ðó là lời Chúa"}},
+        "5132": {"firstReading":{"excerpt":"(Năm II) Am 3, 1-8; 4, 11-12","info":"“Chúa phán: Ai lại chẳng nói tiên tri”.","title":"Trích sách Tiên tri Amos.","content":"Hỡi con cái Israel, hãy nghe lời Chúa phán về các ngươi, và cả dòng giống mà Ta đã đem ra khỏi đất Ai-cập: “Trong muôn dân trên mặt đất, Ta chỉ nhận biết một mình các ngươi. Vì thế, Ta sẽ đến sát hạch các ngươi về mọi gian ác của các ngươi. Hai người, nếu không đồng ý với nhau, có bao giờ lại đi chung với nhau không? Khi chưa bắt được mồi, có bao giờ sư tử gầm lên giữa rừng không? Khi sư tử con chưa bắt được gì, có bao giờ người ta nghe thấy tiếng nó không? Nếu không có gì cạm bẫy, chim có bao giờ sa lưới không? Nghe tiếng kèn thổi trong thành, có bao giờ người dân không lo sợ không? Có tai hoạ nào trong thành mà không do Chúa điều khiển không? Thực ra, Chúa là Thiên Chúa không làm điều gì mà lại không mạc khải ý định của Người cho các tiên tri tôi tớ của Người. Sư tử gầm thét, ai lại không run sợ? Chúa là Thiên Chúa phán, ai lại chẳng nói tiên tri?\r“Ta đã triệt hạ các ngươi như Thiên Chúa đã triệt hạ Sôđôma và Gômôra, các ngươi đã trở thành như thanh củi cháy dở rút khỏi đống lửa, thế mà các ngươi không trở lại với Ta! – Chúa đã phán như thế. Vì vậy, hỡi Israel, Ta sẽ làm cho ngươi những điều này: nhưng sau khi Ta đã làm cho ngươi như vậy, hỡi Israel, ngươi hãy sửa soạn đón rước Thiên Chúa của ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 5, 5-6. 7. 8","response":"Ðáp: Lạy Chúa, xin dẫn con trong đức công minh (c. 9a).","verses":["Xướng: Chúa không phải là Chúa tể ưa điều gian ác; kẻ độc dữ không được cư trú nhà Ngài; đứa bất nhân không thể đứng trước thiên nhan; Chúa ghét những kẻ làm điều gian ác.","Xướng: Ngài tiêu diệt những đứa nói man; người độc ác và gian giảo thì Chúa ghê tởm không nhìn.","Xướng: Phần con, bởi gội nhuần sủng ái, con sẽ vào tới hoàng đài của Chúa; con sấp mình gần bên thánh điện với lòng tôn sợ Ngài, thân lạy Chúa."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 8, 23-27","info":"“Người chỗi dậy, truyền lệnh cho gió và biển, và biển yên lặng như tờ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu xuống thuyền, có các môn đệ theo Người. Và đây biển động dữ dội, đến nỗi sóng phủ lên thuyền, thế mà Người vẫn ngủ. Các môn đệ lại gần đánh thức Người dậy mà rằng: “Lạy Thầy, xin cứu lấy chúng con kẻo chết mất!” Chúa phán: “Hỡi những kẻ yếu lòng tin! Sao các con nhát sợ?” Bấy giờ Người chỗi dậy, truyền lệnh cho gió và biển. Và biển yên lặng như tờ! Cho nên những người ấy kinh ngạc mà rằng: “Ông này là ai mà gió và biển đều vâng phục?”","end":"Ðó là lời Chúa"}},
+        "5133": {"firstReading":{"excerpt":"(Năm II) Am 5, 14-15. 21-24","info":"“Ngươi hãy mang đi xa Ta giọng hát, lời ca của ngươi, và hãy biểu lộ sự chính trực như suối chảy mạnh”.","title":"Trích sách Tiên tri Amos.","content":"Các ngươi hãy tìm sự lành, và đừng tìm sự dữ, để các ngươi được sống. Và như vậy, Chúa là Thiên Chúa các đạo binh sẽ ở cùng các ngươi, như các ngươi đã nói. Các ngươi hãy ghét sự dữ, và yêu sự lành, hãy lập công nơi cửa thành, như vậy có lẽ Chúa là Thiên Chúa các đạo binh, sẽ thương xót những kẻ còn sót lại bởi chi tộc Giuse.\rTa khinh ghét và chê bỏ những ngày lễ trọng của các ngươi. Ta không thèm ngửi mùi hương trong các kỳ hội của các ngươi. Nếu các ngươi dâng cho Ta của lễ toàn thiêu và phẩm vật, Ta sẽ không chấp nhận. Ta cũng không nhìn đến các lễ khấn tốt đẹp của các ngươi; ngươi hãy mang đi cho xa Ta giọng hát, lời ca của ngươi. Ta sẽ không nghe tiếng đàn ca của ngươi. Sự công minh sẽ biểu lộ như nước chảy, và sự chính trực như suối chảy mạnh.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 7. 8-9. 10-11. 12-13. 16bc-17","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho biết ơn Thiên Chúa cứu độ (c. 23b).","verses":["Xướng: Hỡi dân tộc của Ta, hãy nghe Ta nói; hỡi Israel, Ta sẽ chứng tỏ lời phản đối ngươi: Ta là Thiên Chúa, Ðức Thiên Chúa của ngươi.","Xướng: Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn. Ta không nhận từ nhà ngươi một con bò non, cũng không nhận từ đàn chiên ngươi những con dê đực.","Xướng: Vì ta sở hữu mọi muông thú sơn lâm, và muôn ngàn súc vật ở những miền non núi. Ta biết hết thảy mọi giống chim trời, và động vật sống nơi đồng ruộng, Ta cũng rõ.","Xướng: Nếu Ta đói, Ta không phải nói với ngươi, vì Ta là chủ địa cầu và mọi cái chứa đầy trong đó. Phải chăng Ta thèm ăn thịt bò, hay là Ta thèm uống tiết dê ư?","Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta? Ngươi là kẻ không ưa lời giáo huấn, và ném bỏ lời Ta lại sau lưng?"]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia. – Ước gì hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 8,28-34","info":"“Ông đến lúc này để hành hạ các quỷ”.","title":"Bài trích Phúc Âm theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu lên thuyền sang bờ bên kia, đến miền Giêrasa, thì gặp hai người bị quỷ ám từ các mồ mả đi ra, chúng hung dữ đến nỗi không ai dám qua đường ấy.\rVà chúng kêu lên rằng: “Lạy Ông Giêsu, Con Thiên Chúa, chúng tôi có can chi đến ông? Ông đến đây để hành hạ chúng tôi trước hạn định sao?”\rCách đó không xa có một đàn heo lớn đang ăn.\rCác quỷ nài xin Người rằng: “Nếu ông đuổi chúng tôi ra khỏi đây, thì xin cho chúng tôi nhập vào đàn heo”.\rNgười bảo chúng rằng: “Cứ đi”.\rChúng liền ra khỏi đi nhập vào đàn heo.\rTức thì cả đàn heo, từ bờ dốc thẳng, nhào xuống biển và chết chìm dưới nước.\rCác người chăn heo chạy trốn về thành, báo tin ấy và nói về các người bị quỷ ám. Thế là cả thành kéo ra đón Chúa Giêsu. Khi gặp Người, Họ xin Người rời khỏi vùng của họ.","end":"Ðó là lời Chúa"}},
+        "5134": {"firstReading":{"excerpt":"(Năm II) Am 7, 10-17","info":"“Ngươi hãy đi nói tiên tri cho dân Ta”.","title":"Trích sách Tiên tri Amos.","content":"Trong những ngày ấy, một vị tư tế ở Bêthel, là Amasia, sai người đến với Giêrôbôam, vua Israel, mà thưa rằng: “Amos đã nổi loạn chống đức vua, ngay trong nhà Israel, xứ sở không chịu nghe các lời của y”. Vì đây, Amos nói rằng: “Giêrôbôam sẽ chết vì gươm, và dân Israel sẽ bị đày xa xứ sở”.\rVà Amasia đã nói với Amos: “Hỡi nhà tiên tri, hãy trốn sang đất Giuđa mà kiếm ăn và nói tiên tri. Ðừng ở Bêthel mà tiếp tục nói tiên tri nữa. Vì đây là nơi thánh của vua, là đền thờ của vương quốc”. Nhưng Amos trả lời Amasia rằng: “Tôi không phải là tiên tri, cũng không phải con của tiên tri: nhưng tôi là một mục tử, chuyên trồng cây sung. Chúa đã bắt tôi khi tôi đi theo đoàn vật, và Chúa bảo tôi: “Ngươi hãy đi nói tiên tri cho dân Israel của Ta”. Và này, hãy nghe lời Chúa phán: “Người bảo: Chớ nói tiên tri chống lại Israel, chớ chỉ trích dòng họ kẻ theo dị thần”. Chính vì thế mà Chúa phán như sau: “Vợ ngươi sẽ gian dâm trong thành phố. Con trai con gái ngươi sẽ gục ngã dưới lưỡi gươm. Ruộng vườn ngươi sẽ bị phân tán. Chính ngươi, ngươi sẽ chết trên đất nhơ nhớp, và dân Israel sẽ bị đày ải xa quê hương mình”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 18, 8. 9. 10. 11","response":"Ðáp: Phán quyết của Chúa chân thật, công minh hết thảy (c. 10b).","verses":["Xướng: Luật pháp Chúa toàn thiện, bồi bổ tâm linh; chỉ thị Chúa cố định, phá ngu kẻ dốt. – Ðáp.","Xướng: Giới răn Chúa chính trực, làm hoan lạc tâm can; mệnh lệnh Chúa trong ngời, sáng soi con mắt. – Ðáp.","Xướng: Lòng tôn sợ Chúa thuần khiết, còn mãi muôn đời; phán quyết của Chúa chân thật, công minh hết thảy. – Ðáp.","Xướng: Những điều đó đáng chuộng hơn vàng, hơn cả vàng ròng; ngọt hơn mật và hơn cả mật chảy tự tàng ong. – Ðáp."]},"alleluia":{"verse":"Ga 8, 12","content":"alleluia! – Chúa phán: “Ta là sự sáng thế gian, ai theo Ta, sẽ được ánh sáng ban sự sống”. – Alleluia."},"gospel":{"excerpt":"Mt 9, 1-8","info":"“Họ tôn vinh Thiên Chúa đã ban cho loài người quyền năng như thế”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu xuống thuyền, vượt biển mà về thành của Người. Bấy giờ người ta đem đến cho Người một kẻ bất toại nằm trên giường. Thấy họ có lòng tin, Chúa Giêsu nói với người bất toại rằng: “Hỡi con, con hãy vững tin, tội con được tha rồi”. Bấy giờ mấy luật sĩ nghĩ thầm rằng: “Ông này nói phạm thượng”. Chúa Giêsu biết ý nghĩ của họ liền nói: “Tại sao các ngươi suy tưởng những sự xấu trong lòng? Bảo rằng “Tội con được tha rồi”, hay nói “Hãy chỗi dậy mà đi”, đàng nào dễ hơn? Nhưng (nói thế là) để các ngươi biết rằng trên đời này Con Người có quyền tha tội”. Bấy giờ Người nói với người bất toại: “Con hãy chỗi dậy, vác giường mà về nhà con”. Người ấy chỗi dậy và đi về nhà. Thấy vậy dân chúng sợ hãi và tôn vinh Thiên Chúa đã ban cho loài người quyền năng như thế.","end":"Ðó là lời Chúa"}},
+        "5135": {"firstReading":{"excerpt":"(Năm II) Am 8, 4-6. 9-12","info":"“Ta sẽ cho nạn đói trên đất này: nhưng không phải là đói cơm bánh, mà là đói lời Chúa”.","title":"Trích sách Tiên tri Amos.","content":"Ðây Thiên Chúa phán: “Hãy nghe đây, hỡi những ai đàn áp kẻ nghèo khó và muốn tiêu diệt hết những kẻ bần cùng trong cả nước. Các ngươi bảo: “Bao giờ qua tuần trăng mới để chúng tôi bán hàng! Khi nào hết ngày Sabbath để chúng tôi bán lúa mạch. Chúng tôi sẽ giảm lường đong, tăng giá và làm cân giả. Chúng tôi sẽ lấy tiền mua người nghèo, lấy đôi dép đổi lấy người túng thiếu. Chúng tôi sẽ bán lúa mục nát”.\rChúa là Thiên Chúa phán: “Ngày ấy Ta sẽ khiến mặt trời lặn ngay giữa chính ngọ, và sẽ khiến mặt đất ra tối tăm giữa ban ngày. Ta sẽ làm cho các ngày đại lễ của các ngươi trở nên ngày tang tóc, cho các bài ca trở thành lời khóc than. Ta sẽ lấy bao bố đặt trên lưng các ngươi và khiến mọi người trọc đầu. Ta sẽ làm cho ngày ấy trở thành như ngày tang mất con một, và sau cùng nó trở nên ngày cay đắng”.\rThiên Chúa lại phán: “Rồi đây sẽ đến ngày Ta cho nạn đói đến trên đất này, nhưng không phải là đói cơm bánh hay khát nước đâu, nhưng là đói nghe lời Chúa. Người ta sẽ di chuyển từ biển này qua biển nọ, từ bắc đến đông: họ đi vòng quanh tìm kiếm lời Chúa, nhưng chẳng thấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 2. 10. 20. 30. 40. 131","response":"Ðáp: Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra (Mt 4, 4).","verses":["Xướng: Phúc đức những ai giữ lời Ngài nghiêm huấn, những người đó tận tâm tìm kiếm Ngài.","Xướng: Với tất cả tâm can con tìm Chúa, xin chớ để con lạc xa chỉ thị Ngài.","Xướng: Sở dĩ linh hồn con mòn mỏi, là vì luôn luôn khao khát thánh dụ của Ngài.","Xướng: Con đã chọn con đường chân lý, con quyết tâm theo các thánh chỉ của Ngài.","Xướng: Này đây, con khao khát huấn lệnh của Ngài; theo lượng công minh Ngài, xin cho con được sống.","Xướng: Con há miệng để hút nguồn sinh khí, và con ham muốn những chỉ thị của Ngài."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 9, 9-13","info":"“Người lành mạnh không cần đến thầy thuốc: Ta muốn lòng nhân từ, chớ không phải là hy lễ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đi ngang qua, thấy một người ngồi ở bàn thu thuế, tên là Matthêu. Người phán bảo ông: “Hãy theo Ta”. Ông ấy đứng dậy đi theo Người. Và xảy ra là khi Người ngồi dùng bữa trong nhà, thì có nhiều người thu thuế và tội lỗi đến ngồi đồng bàn cùng Chúa Giêsu và các môn đệ của Người. Những người biệt phái thấy vậy, liền nói với các môn đệ Người rằng: “Tại sao Thầy các ông lại ăn uống với những người thu thuế và tội lỗi như thế?” Nghe vậy, Chúa Giêsu bảo rằng: “Người lành mạnh không cần đến thầy thuốc, nhưng là người đau yếu! Các ông hãy đi học xem lời này có ý nghĩa gì: “Ta muốn lòng nhân từ, chứ không phải là hy lễ”. Vì Ta không đến để kêu gọi người công chính, nhưng kêu gọi người tội lỗi”.","end":"Ðó là lời Chúa"}},
+        "5136": {"firstReading":{"excerpt":"(Năm II) Am 9, 11-15","info":"“Ta sẽ đem dân Ta bị lưu đày trở về, và sẽ trồng họ trên đất của họ”.","title":"Trích sách Tiên tri Amos.","content":"Ðây Chúa phán: “Trong ngày ấy, Ta sẽ dựng lại nhà xếp của Ðavít đã xiêu đổ, Ta sẽ lấp những lỗ hổng nơi tường, trùng tu lại những gì đổ nát. Ta sẽ xây dựng lại như ngày xưa, để chúng chiếm hữu những gì còn sót của Êđom và tất cả các dân tộc, vì chúng đã xưng tụng danh Ta”.\rChúa hoàn thành những việc Chúa đã phán như thế. Và Chúa còn phán: “Ðây đã đến những ngày mà người cày ruộng tiếp nối người thợ gặt, kẻ ép nho tiếp nối người gieo giống. Từ các núi non, rượu nho mới sẽ chảy tuôn tràn, và từ các đồi, rượu sẽ vọt ra lai láng. Ta sẽ đem Israel dân Ta bị lưu đày trở về. Họ sẽ xây lại các thành phố bị bỏ hoang và cư ngụ tại đó. Họ sẽ trồng nho và sẽ uống rượu nho. Họ sẽ lập vườn, và sẽ ăn quả sinh ra ở nơi ấy. Ta sẽ trồng họ trên đất của họ, và không khi nào họ bị nhổ ra khỏi đất Ta đã ban cho họ. Chúa là Thiên Chúa của ngươi phán như thế”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9. 11-12. 13-14","response":"Ðáp: Chúa phán bảo về sự bình an cho dân tộc của Người (c. 9).","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an, bình an cho dân tộc và các tín đồ của Chúa, và cho những ai thành tâm trở lại với Người.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau; đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lối bước của Người."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 9, 14-17","info":"“Làm sao các phù rể có thể buồn rầu khi tân lang còn đang ở với họ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, [Chúa Giêsu sang miền Giêsarênô,] các môn đệ Gioan đến gặp Người mà hỏi: “Tại sao chúng tôi và những người biệt phái thì giữ chay, còn môn đệ của Ngài lại không?” Chúa Giêsu nói với họ rằng: “Làm sao các khách dự tiệc cưới có thể buồn rầu khi tân lang đang còn ở với họ? Rồi sẽ có ngày tân lang ra đi, bấy giờ họ mới giữ chay. Không ai lấy vải mới mà vá vào áo cũ, vì miếng vải mới làm áo dúm lại, và chỗ rách lại càng tệ hơn. Người ta cũng không đổ rượu mới vào bầu da cũ, chẳng vậy, bầu da vỡ, rượu đổ ra, và bầu da hư mất. Nhưng rượu mới thì đổ vào bầu da mới, và cả hai được nguyên vẹn”.","end":"Ðó là lời Chúa"}},
+        "5141": {"firstReading":{"excerpt":"(Năm II) Hs 2, 14. 15-16. 19-20","info":"“Ta sẽ đính hôn với ngươi đến muôn đời”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Này đây Ta sẽ dụ dỗ nó, đem nó vào sa mạc, và kề lòng, Ta nói khó với nó. Ở đó nó sẽ vọng lại như ngày còn thơ, và như ngày nó lên từ đất Ai-cập. Sẽ xảy ra là trong ngày ấy, sấm của Giavê, nó sẽ gọi Ta: ‘Chồng tôi’, chứ nó sẽ không gọi Ta là ‘Ông chủ tôi’ nữa”.\r“Ta sẽ đính hôn với ngươi đến muôn đời. Ta sẽ đính hôn với ngươi trong công bình và chính trực, trong tình yêu và thương xót. Ta sẽ đính hôn với ngươi trong sự trung tín và ngươi sẽ biết Ta là Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Chúa nhân ái và từ bi (c. 8a).","verses":["Xướng: Hằng ngày con sẽ chúc tụng Chúa và con sẽ khen ngợi danh Chúa tới muôn đời. Chúa vĩ đại và rất đáng ngợi khen, sự vĩ đại của Chúa không thể đo lường được.","Xướng: Thế hệ này rao giảng cho thế hệ kia hay công việc Chúa, và thiên hạ loan tin quyền năng của Ngài. Người ta nói đến vinh quang cao cả oai nghiêm, và phổ biến những điều kỳ diệu của Chúa.","Xướng: Người ta nói tới quyền năng trong những việc đáng sợ, và kể ra sự vĩ đại của Ngài. Người ta lớn tiếng khen ngợi lòng nhân hậu bao la, và hân hoan vì đức công minh của Chúa.","Xướng: Chúa nhân ái và từ bi, chậm bất bình và giầu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa."]},"alleluia":{"verse":"Tv 144, 14cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Đấng cứu độ chúng ta là Đức Giêsu Kitô đã tiêu diệt thần chết, và đã dùng Tin Mừng mà làm sáng tỏ phúc trường sinh. – Alleluia."},"gospel":{"excerpt":"Mt 9, 18-26","info":"“Con gái tôi vừa mới chết, nhưng xin Ngài đến, nó sẽ sống lại”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu đang nói, thì có một vị kỳ mục kia đến lạy Người mà thưa rằng: “Lạy Ngài, con gái tôi vừa mới chết, nhưng xin Ngài đến đặt tay trên nó, thì nó sẽ sống lại”. Chúa Giêsu chỗi dậy, và cùng với các môn đệ, đi theo ông ấy. Và này có người đàn bà bị bệnh loạn huyết đã mười hai năm, tiến lại đàng sau Người và chạm đến gấu áo Người. Vì bà nghĩ thầm rằng: Nếu tôi được chạm đến áo Người thôi, thì tôi sẽ được khỏi. Chúa Giêsu ngoảnh lại, trông thấy bà ta, liền phán rằng: “Này con, hãy vững lòng. Ðức tin của con đã cứu thoát con”. Và người đàn bà được khỏi bệnh.\rKhi Chúa Giêsu đến nhà vị kỳ mục, và thấy những người thổi kèn và đám đông đang xôn xao, thì bảo rằng: “Các ngươi hãy lui ra, con bé không có chết đâu, nó ngủ đó thôi”. Họ liền nhạo cười Người. Và khi đã xua đám đông ra ngoài, Người vào cầm tay đứa bé và nó liền chỗi dậy. Tin này đồn đi khắp cả miền ấy.","end":"Ðó là lời Chúa"}},
+        "5142": {"firstReading":{"excerpt":"(Năm II) Hs 8, 4-7. 11-13","info":"“Chúng gieo gió thì sẽ gặt bão”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Chúng cai trị chớ không phải Ta. Chúng đã làm thủ lãnh, và Ta không nhận biết. Chúng đã lấy vàng bạc mà đúc tượng thần, để Ta tàn phá đi.\r“Hỡi Samaria, hãy ném con bê của ngươi đi. Ta đã nổi giận chúng. Chúng không thể thanh tẩy mình đến bao giờ? Con bê này bởi Israel mà ra, người thợ đúc đã làm ra nó, nó đâu phải là thần. Con bê của Samaria sẽ giống như con nhện. Chúng gieo gió thì sẽ gặt bão: lúa mì của chúng chẳng đâm bông, mà nếu có bông cũng chẳng có hạt, và nếu có được hạt, thì người ngoại bang cũng sẽ nuốt hết.\r“Ephraim làm thêm bàn thờ để phạm tội, những bàn thờ này đã nên dịp tội cho nó. Vì Ta viết cho nó muôn ngàn lề luật, và nó coi như không can gì đến nó. Chúng sẽ dâng của lễ, sẽ hiến tế thịt thà, chúng cứ việc ăn, Chúa không chấp nhận đâu. Chúa sẽ nhớ lại sự gian ác của chúng và sẽ phạt tội chúng: chúng sẽ hướng về Ai-cập”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 113B, 3-4. 5-6. 7-8. 9-10","response":"Ðáp: Nhà Israel! cậy tin vào Chúa (c. 9a).  Hoặc đọc: Alleluia.","verses":["Xướng: Thiên Chúa chúng ta ngự trên trời, phàm điều chi Người ưng ý, Người đã thực thi. Thần tượng của họ bằng bạc với vàng, đó là sự vật do tay người tác tạo.","Xướng: Chúng có miệng mà không nói năng; chúng có mắt mà không nhìn thấy; chúng có tai mà chẳng khá nghe; chúng có mũi mà không biết ngửi.","Xướng: Chúng có tay mà không sờ mó; chúng có chân mà chẳng bước đi. Sẽ nên giống y như chúng, bao nhiêu kẻ làm ra và cậy tin vào chúng."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng biết Ta”. – Alleluia."},"gospel":{"excerpt":"Mt 9, 32-38","info":"“Lúa chín đầy đồng mà thợ gặt thì ít”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, người ta đem đến Chúa Giêsu một người câm bị quỷ ám. Khi đã trừ quỷ, thì người câm nói được, đám đông dân chúng kinh ngạc và nói rằng: “Chưa bao giờ thấy xảy ra như vậy trong dân Israel”. Nhưng các người biệt phái nói rằng: “Ông ta đã nhờ tướng quỷ mà trừ quỷ”.\rVà Chúa Giêsu đi rảo khắp các thành phố làng mạc, dạy dỗ trong các hội đường, rao giảng Tin Mừng Nước Trời, và chữa lành mọi bệnh hoạn tật nguyền. Thấy đoàn lũ dân chúng, Người động lòng xót thương họ, vì họ tất tưởi bơ vơ như những con chiên không có người chăn. Người liền bảo môn đệ rằng: “Lúa chín đầy đồng, mà thợ gặt thì ít. Các con hãy xin chủ ruộng sai thợ đi gặt lúa”.","end":"Ðó là lời Chúa"}},
+        "5143": {"firstReading":{"excerpt":"(Năm II) Hs 10, 1-3. 7-8. 12","info":"“Ðây là lúc phải tìm kiếm Chúa”.","title":"Trích sách Tiên tri Hôsê.","content":"Israel là cây nho xanh tốt, hoa trái xứng hợp với nó. Ðất càng màu mỡ, thì càng thêm các tượng thần. Lòng dạ chúng phân đôi, giờ đây chúng sẽ đền tội. Chúa sẽ đánh vỡ các tượng thần và phá tan các bàn thờ của chúng. Bấy giờ chúng sẽ nói: “Chúng ta không có vua, vì chúng ta không kính sợ Chúa: và nhà vua sẽ làm gì cho chúng ta?”\rSamaria đã làm cho vua mình qua đi như bọt nước. Những nơi cao dựng tượng thần sẽ bị phá huỷ: Ðó là tội lỗi của Israel! Cây ké và gai góc sẽ mọc trên bàn thờ chúng. Chúng sẽ nói với núi non rằng: Hãy che lấp chúng ta đi. Chúng sẽ nói với đồi rằng: Hãy đổ xuống trên chúng ta cho rồi! Các ngươi hãy gieo rắc sự công chính và sẽ gặt mùa nhân từ. Các ngươi hãy khai khẩn những khu đất mới: Ðây là lúc phải tìm kiếm Chúa, khi Người đến, Người sẽ dạy dỗ sự công chính cho các ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 2-3. 4-5. 6-7","response":"Ðáp: Hãy tìm kiếm thiên nhan Chúa luôn luôn (c. 4b).","verses":["Xướng: Hãy xướng ca, đàn hát mừng Người, hãy tường thuật mọi điều kỳ diệu của Chúa. Hãy tự hào vì danh thánh của Người; tâm hồn những ai tìm Chúa, hãy mừng vui.","Xướng: Hãy coi trọng Chúa và quyền năng của Chúa; hãy tìm kiếm thiên nhan Chúa luôn luôn. Hãy nhớ lại những điều kỳ diệu Chúa đã làm, những phép lạ, và những điều miệng Ngài phán quyết.","Xướng: Hỡi miêu duệ Abraham là tôi tớ của Người; hỡi con cháu Giacóp, những kẻ được Người kén chọn. Chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Người bao trùm khắp cả địa cầu."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống; không ai đến được với Cha mà không qua Thầy”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Triều đại Thiên Chúa đã đến gần. Anh em hãy sám hối và tin vào Tin Mừng. -Alleluia."},"gospel":{"excerpt":"Mt 10, 1-7","info":"“Các con hãy đến cùng chiên lạc nhà Israel”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu gọi mười hai môn đệ Người lại, và ban cho các ông quyền hành trên các thần ô uế để các ông xua đuổi chúng và chữa lành mọi bệnh hoạn, tật nguyền.\rÐây là tên của mười hai Tông đồ: Trước hết là Simon cũng gọi là Phêrô, rồi đến Anrê em của ông, Giacôbê con ông Giêbêđê và Gioan em của ông, Philipphê và Bartôlômêô, Tôma và Matthêu người thu thế, Giacôbê con ông Alphê và Tađêô, Simon nhiệt tâm và Giuđa Iscariô là kẻ nộp Người.\rChúa Giêsu đã sai mười hai vị này đi và truyền rằng: “Các con đừng đi về phía các dân ngoại và đừng vào thành của người Samaria. Tốt hơn, các con hãy đến cùng các chiên lạc nhà Israel. Các con hãy đi rao giảng rằng: ‘Nước Trời đã gần đến'”.","end":"Ðó là lời Chúa"}},
+        "5144": {"firstReading":{"excerpt":"(Năm II) Hs 11, 1b, 3-4, 8c-9","info":"“Quả tim Ta thổn thức trong Ta và ruột gan Ta bồi hồi”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Thiên Chúa phán: “Lúc Israel còn niên thiếu, Ta đã yêu thương nó, và Ta đã gọi con Ta ra khỏi Ai-cập.\r“Ta đã dưỡng nuôi Ephraim, Ta đã bồng chúng trên cánh tay Ta mà chúng không biết Ta chăm sóc chúng. Ta đã dùng dây êm ái và mối yêu thương mà tập (cho) chúng đi; Ta đối xử với chúng như người dưỡng nuôi trẻ thơ, Ta đã ấp yêu chúng vào má. Ta nghiêng mình trên chúng và đút cho chúng ăn.\rQuả tim Ta thổn thức trong Ta và ruột gan Ta bồi hồi. Ta sẽ không buông thả theo cơn giận của Ta. Ta sẽ không huỷ diệt Ephraim, vì Ta là Thiên Chúa chứ không phải người phàm; Ta là Ðấng Thánh ở giữa ngươi, Ta không thích tiêu diệt”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 79, 2ac và 3b. 15-16","response":"Ðáp: Lạy Chúa, xin tỏ thiên nhan hiền từ Chúa ra, hầu cho chúng con được ơn cứu sống (c. 4b).","verses":["Xướng: Lạy Ðấng chăn dắt Israel, xin hãy lắng tai! Chúa ngự trên các vệ binh thần, xin hiện ra trong sáng láng. Xin tỉnh thức quyền năng của Chúa.","Xướng: Lạy Chúa thiên binh, xin thương trở lại; tự trời cao xin nhìn coi và thăm viếng vườn nho này. Xin bảo vệ vườn nho mà tay hữu Ngài đã cấy; bảo vệ ngành nho mà tay Ngài đã củng cố cho mình."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước gì hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Mt 10, 7-15","info":"“Các con đã lãnh nhận nhưng không, thì hãy cho nhưng không”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Các con hãy đi rao giảng rằng “Nước Trời đã gần đến”. Hãy chữa những bệnh nhân, hãy làm cho kẻ chết sống lại, hãy làm cho những kẻ phong cùi được sạch và hãy trừ quỷ. Các con đã lãnh nhận nhưng không thì hãy cho nhưng không. Các con chớ mang vàng bạc, tiền nong trong đai lưng, chớ mang bị đi đường, chớ đem theo hai áo choàng, chớ mang giày dép và gậy gộc, vì thợ thì đáng được nuôi ăn.\r“Khi các con vào thành hay làng nào, hãy hỏi ở đó ai là người xứng đáng, thì ở lại đó cho tới lúc ra đi. Khi vào nhà nào, các con hãy chào rằng: “Bình an cho nhà này”. Nếu nhà ấy xứng đáng thì sự bình an của các con sẽ đến với nhà ấy. Nhưng nếu ai không tiếp rước các con và không nghe lời các con, thì hãy ra khỏi nhà hay thành ấy và giũ bụi chân các con lại. Thật, Thầy bảo các con: Trong ngày phán xét, đất Sôđôma và Gômôra sẽ được xét xử khoan dung hơn thành ấy”.","end":"Ðó là lời Chúa"}},
+        "5145": {"firstReading":{"excerpt":"(Năm II) Hs 14, 2-10","info":"“Chúng tôi sẽ không còn nói rằng: Thần minh chúng tôi là sản phẩm do tay chúng tôi làm ra”.","title":"Trích sách Tiên tri Hôsê.","content":"Ðây Chúa phán: “Hỡi Israel, hãy trở về với Chúa là Thiên Chúa ngươi, vì ngươi đã gục ngã trong đường tội ác. Các ngươi hãy mang lời Chúa và trở về với Chúa; các ngươi hãy thưa rằng: ‘Xin hãy xoá bỏ mọi tội ác, và nhận điều lành. Chúng tôi dâng lên Chúa của lễ ca tụng. Assurô sẽ không giải thoát chúng tôi; chúng tôi sẽ không cỡi ngựa và sẽ không còn nói rằng: Thần minh chúng tôi là sản phẩm do tay chúng tôi làm ra, vì nơi Chúa, kẻ mồ côi tìm được sự thương xót’.\r“Ta sẽ chữa sự bất trung của họ và hết lòng yêu thương họ, vì Ta đã nguôi giận họ. Ta sẽ như sương sa, Israel sẽ mọc lên như bông huệ, và đâm rễ như chân núi Liban. Các nhánh của nó sẽ sum sê, vẻ xinh tươi của nó như cây ôliu và hương thơm của nó như hương thơm núi Liban. Thiên hạ sẽ đến ngồi núp dưới bóng mát của nó, họ sống bằng lúa mì và lớn lên như cây nho. Nó sẽ được lừng danh như rượu Liban.\r“Hỡi Ephraim, tượng thần giúp ích gì cho ngươi không? Chính Ta sẽ nhậm lời và săn sóc ngươi, cho ngươi mọc lên như cây hương nam xinh tươi. Nhờ Ta, ngươi sẽ sinh hoa kết quả. Ai là người khôn ngoan hiểu được các việc này, ai là người sáng suốt biết được các việc đó? Vì chưng đường lối của Chúa là đường ngay thẳng và những người công chính sẽ đi trên đó, còn các người gian ác sẽ gục ngã trên đó”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 3-4. 8-9. 12-13. 14 và 17","response":"Ðáp: Miệng con sẽ loan truyền lời ca khen Chúa (c. 17b).","verses":["Xướng: Lạy Chúa, nguyện thương con theo lòng nhân hậu Chúa, xoá tội con theo lượng cả đức từ bi; xin rửa con tuyệt gốc lỗi lầm, và tẩy con sạch lâng tội ác.","Xướng: Nhưng Chúa ưa sự thật trong tâm khảm, và trong đáy lòng, Chúa dạy con điều khôn. Xin dùng cành hương thảo rảy con thanh khiết; xin tẩy rửa cho con được hơn tuyết trắng tinh.","Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin ban lại cho con niềm vui ơn cứu độ, với tinh thần quảng đại, Chúa đỡ nâng con. Lạy Chúa, xin mở môi con, miệng con sẽ loan truyền lời ca khen."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy vào Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 10, 16-23","info":"“Không phải chính các con nói, nhưng là Thánh Thần của Cha các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Này, Thầy sai các con đi như những con chiên ở giữa sói rừng. Vậy các con hãy ở khôn ngoan như con rắn và đơn sơ như bồ câu. Các con hãy coi chừng người đời, vì họ sẽ nộp các con cho công nghị, và sẽ đánh đập các con nơi hội đường của họ. Các con sẽ bị điệu đến nhà cầm quyền và vua chúa vì Thầy, để làm chứng cho họ và cho dân ngoại được biết. Nhưng khi người ta bắt nộp các con, thì các con đừng lo nghĩ phải nói thế nào và nói gì? Vì trong giờ ấy sẽ cho các con biết phải nói gì; vì chưng, không phải chính các con nói, nhưng là Thánh Thần của Cha các con nói trong các con.\r“Anh sẽ đem nộp giết em, cha sẽ nộp con, con cái sẽ chống lại với cha mẹ và làm cho cha mẹ phải chết. Vì danh Thầy, các con sẽ bị mọi người ghen ghét, nhưng ai bền đỗ đến cùng, kẻ ấy sẽ được cứu độ. Khi người ta bắt bớ các con trong thành này, thì hãy trốn sang thành khác. Thầy bảo thật các con: Các con sẽ không đi khắp hết các thành Israel trước khi Con Người đến”.","end":"Ðó là lời Chúa"}},
+        "5146": {"firstReading":{"excerpt":"(Năm II) Is 6, 1-8","info":"“Lưỡi tôi nhơ bẩn, mắt tôi trông thấy Ðức Vua, Người là Chúa các đạo binh”.","title":"Trích sách Tiên tri Isaia.","content":"Năm vua Ozias băng hà, tôi nhìn thấy Thiên Chúa ngự trên ngai cao, và đuôi áo của Người phủ đền thờ. Các Thần Sốt Mến đứng trước mặt Người, mỗi vị có sáu cánh: hai cánh che mặt, hai cánh phủ chân và hai cánh để bay. Các vị đó luân phiên tung hô rằng: “Thánh, Thánh, Thánh! Chúa là Thiên Chúa các đạo binh, toàn thể địa cầu đầy vinh quang Chúa!” Các nền nhà đều rung chuyển trước tiếng tung hô, và Ðền thờ đầy khói.\rTôi nói rằng: “Vô phúc cho tôi, tôi chết mất! Vì lưỡi tôi nhơ bẩn, mắt tôi trông thấy Ðức Vua, Người là Chúa các đạo binh”. Nhưng lúc đó có một trong các Thần Sốt Mến bay đến tôi, tay cầm cục than cháy đỏ mà ngài đã dùng cặp gắp từ trên bàn thờ. Ngài đặt than lửa vào miệng tôi và nói: “Hãy nhìn xem, than lửa này đã chạm đến lưỡi ngươi, lỗi ngươi được xoá bỏ, tội của ngươi được tha thứ”. Và tôi nghe tiếng Chúa phán bảo: “Ta sẽ sai ai đi? Và ai sẽ đi cho Chúng Ta?” Tôi liền thưa: “Này con đây, xin hãy sai con”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 92, 1ab. 1c-2. 5","response":"Ðáp: Chúa làm Vua, Ngài đã mặc thiên oai (c. 1a).","verses":["Xướng: Chúa làm Vua, Ngài đã mặc thiên oai, Chúa đã vận uy quyền, Ngài đã thắt long đai. –","Xướng: Và Ngài giữ vững địa cầu, nó sẽ không còn lung lay. Ngai báu của Ngài thiết lập từ muôn thuở; tự đời đời vẫn có Chúa.","Xướng: Lời chứng bảo của Ngài rất đáng tin; lạy Chúa, sự thánh thiện là của riêng nhà Ngài, cho tới muôn muôn ngàn đời."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia. ( Hoặc đọc: ) Alleluia, alleluia! – Nếu anh em bị sỉ nhục vì danh Đức Ki-tô, anh em thật có phúc, bởi lẽ Thần Khí của Thiên Chúa ngự trên anh em. – Alleluia."},"gospel":{"excerpt":"Mt 10, 24-33","info":"“Các con đừng sợ những kẻ giết được thân xác”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Môn đệ không hơn thầy, và tôi tớ không hơn chủ mình. Môn đệ được bằng thầy, tôi tớ được bằng chủ mình thì đã là khá rồi. Nếu họ đã gọi chủ nhà là Bêelgiêbul thì huống hồ là người nhà của Ngài. Vậy các con đừng sợ những người đó, vì không có gì che giấu mà không bị thố lộ; và không có gì kín nhiệm mà không hề hay biết. Ðiều Thầy nói với các con trong bóng tối, hãy nói nơi ánh sáng; và điều các con nghe rỉ tai, hãy rao giảng trên mái nhà.\r“Các con đừng sợ kẻ giết được thân xác, nhưng không thể giết được linh hồn. Các con hãy sợ Ðấng có thể ném cả xác lẫn hồn xuống địa ngục. Nào người ta không bán hai chim sẻ với một đồng tiền đó sao? Thế mà không con nào rơi xuống đất mà Cha các con không biết đến. Phần các con, tóc trên đầu các con đã được đếm cả rồi. Vậy các con đừng sợ: các con còn đáng giá hơn chim sẻ bội phần.\r“Vậy ai tuyên xưng Thầy trước mặt người đời, thì Thầy sẽ tuyên xưng nó trước mặt Cha Thầy là Ðấng ngự trên trời. Còn ai chối Thầy trước mặt người đời, thì Thầy sẽ chối nó trước mặt Cha Thầy là Ðấng ngự trên trời”.","end":"Ðó là lời Chúa"}},
+        "5151": {"firstReading":{"excerpt":"(Năm II) Is 1, 10-17","info":"“Các ngươi hãy tắm rửa, hãy dẹp khỏi mắt Ta các tư tưởng xấu xa”.","title":"Trích sách Tiên tri Isaia.","content":"Hỡi các hoàng tử Sôđôma, hãy nghe lời Chúa; hỡi dân Gômôra, hãy lắng tai nghe luật Thiên Chúa chúng ta. Chúa phán: “Muôn vàn hy lễ có ích lợi gì cho Ta? Ta đã chán chê và không còn ưa thích những của lễ toàn thiêu bằng chiên đực, mỡ các súc vật béo, máu bò đực, chiên con và dê đực.\r“Khi các ngươi đến trước mặt Ta, ai kiểm soát các vật ấy nơi tay các ngươi, để các ngươi đi vào hành lang của Ta? Các ngươi đừng tiếp tục hiến dâng cho Ta những lễ tế vô ích nữa. Ta ghê tởm mùi hương. Ta không chịu được các ngày đầu tháng, các ngày Sabbat và các ngày lễ trọng khác. Những cuộc hội họp của các ngươi đều là gian ác.\r“Tâm hồn Ta chán ghét những ngày trăng mới và các lễ trọng của các ngươi. Tất cả những thứ đó đã làm khổ Ta, Ta đã nhàm chán chịu đựng rồi. Và khi các ngươi giơ tay các ngươi lên, thì Ta quay mặt đi. Khi các ngươi càng cầu nguyện, thì Ta càng không nhậm lời, vì tay các ngươi vấy đầy máu.\r“Các ngươi hãy tắm rửa, hãy thanh tẩy, hãy dẹp khỏi mắt Ta các tư tưởng xấu xa; đừng làm điều xấu nữa, hãy làm điều lành; hãy tìm kiếm công lý, hãy cứu giúp kẻ bị áp bức, hãy xét xử công bằng cho những trẻ mồ côi và bênh vực người goá bụa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 8-9. 16bc-17. 21 và 23","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ (c. 23b).","verses":["Xướng: Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn. Ta không nhận từ nhà ngươi một con bò non, cũng không nhận từ đàn chiên ngươi những con dê đực.","Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta? Ngươi là kẻ không ưa lời giáo huấn và ném bỏ lời Ta lại sau lưng?","Xướng: Ngươi làm thế, mà Ta đành yên lặng? Ngươi đã tưởng rằng Ta cũng giống như ngươi? Ta sẽ bắt lỗi, sẽ phơi bày trước mặt ngươi tất cả. Ai hiến dâng lời khen ngợi, người đó trọng kính Ta; ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay ai bị bách hại vì sống công chính, vì Nước Trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mt 10, 34 – 11, 1","info":"“Thầy không đến để đem hòa bình, nhưng đem gươm giáo”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các Tông đồ rằng: “Các con chớ tưởng rằng Thầy đến để mang hoà bình cho thế gian: Thầy không đến để đem hoà bình, nhưng đem gươm giáo. Vì chưng, Thầy đến để gây chia rẽ con trai với cha mình, con gái với mẹ mình, nàng dâu với mẹ chồng mình: và thù địch của người ta lại là chính người nhà mình. Kẻ nào yêu mến cha mẹ hơn Thầy, thì chẳng xứng đáng với Thầy. Kẻ nào yêu con trai con gái hơn Thầy, thì chẳng xứng đáng với Thầy. Kẻ nào không vác thập giá mình mà theo Thầy, thì không xứng đáng với Thầy. Kẻ nào cố tìm mạng sống mình thì sẽ mất, và kẻ nào đành mất mạng sống mình vì Thầy, thì sẽ tìm lại được nó.\rKẻ nào đón tiếp các con là đón tiếp Thầy, và kẻ nào đón tiếp Thầy, là đón tiếp Ðấng đã sai Thầy. Kẻ nào đón tiếp một tiên tri với danh nghĩa là tiên tri, thì sẽ lãnh phần thưởng của tiên tri; và kẻ nào đón tiếp người công chính với danh nghĩa người công chính, thì sẽ lãnh phần thưởng của người công chính. Kẻ nào cho một trong những người bé mọn này uống chỉ một bát nước lã mà thôi với danh nghĩa là môn đệ, thì quả thật, Thầy nói với các con: người ấy không mất phần thưởng đâu”.\rSau khi Chúa Giêsu truyền dạy xong các điều ấy cho mười hai tông đồ, Người rời khỏi đó để đi dạy dỗ và rao giảng trong các thành phố của các ông.","end":"Ðó là lời Chúa"}},
+        "5152": {"firstReading":{"excerpt":"(Năm II) Is 7, 1-9","info":"“Nếu các ngươi không tin, các ngươi sẽ không còn tồn tại nữa”.","title":"Trích sách Tiên tri Isaia.","content":"Xảy ra trong đời Acaz con của Gioatham, Gioatham con của Ozia, vua nước Giuđa, Rasin vua nước Syria, và Phaxê con của Rômêlia, vua Israel, tiến lên gây chiến với Giêrusalem, nhưng không thể thắng trận được. Người ta báo tin cho nhà Ðavít rằng: “Syria đã đóng quân ở Ephraim”. Nghe vậy, vua và dân đều run sợ, như cây trong rừng rung động trước gió.\rVà Chúa phán cùng Isaia rằng: “Ngươi và con ngươi là Giasub, hãy đi đón vua Acaz đang ở cuối cống ao thượng, trên đường ra ruộng Fullon, và nói rằng: “Hãy cẩn thận ở yên lặng, đừng sợ, và đừng nao núng trước hai ngọn đuốc xông khói này là cơn thịnh nộ của Rasin, vua nước Syria, và của con trai Rômêlia, vì chưng Syria, Ephraim và con trai của Rômêlia đã toan mưu hại ngươi, họ nói rằng: “Chúng ta hãy tiến đánh Giuđa, quấy rối nó và lôi cuốn nó theo ta, và đặt con trai Tabeel làm vua”.\rChúa phán thế này: “Sự việc này không thành và không xảy ra đâu, vì Ðamas là thủ đô của Syria, và Rasin là thủ lãnh của Ðamas. Còn sáu mươi lăm năm nữa, thì Ephraim sẽ bị tiêu diệt và không còn là một dân tộc nữa. Thủ đô của Ephraim là Samaria, và thủ lãnh của Samaria là con của Rômêlia. Nếu các ngươi không tin, các ngươi sẽ không còn tồn tại”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 47, 2-3a. 3b-4. 5-6. 7-8","response":"Ðáp: Thiên Chúa kiên thủ thành trì của Người tới muôn đời (c. 9d).","verses":["Xướng: Chúa vĩ đại và rất đáng ngợi khen trong thành trì của Thiên Chúa chúng ta. Núi thánh của Người là ngọn đồi duyên dáng, là niềm hoan lạc của khắp cả địa cầu. – Ðáp.","Xướng: Núi Sion là cùng kiệt phương Bắc, là thành trì của Ðức Ðại Ðế. Thiên Chúa ngự trong thành quách của Người, tự chứng tỏ Người là an toàn chiến lũy. –","Xướng: Bởi chưng, kìa các vua chúa đã họp nhau, họ đã nhất tề xung phong tác chiến. Nhưng thoạt nhìn thấy, họ đã ngẩn người ra, họ đã thất kinh và chạy trốn. – Ðáp.","Xướng: Chính tại đây, họ đã khiếp run sợ hãi, đau đớn như người phụ nữ lúc lâm bồn, và lúc Chúa dùng ngọn gió Ðông đánh cho những chiến thuyền Tác-xi tan vỡ. – Ðáp."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa, và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 11, 20-24","info":"“Trong ngày phán xét, Tyro và Siđon sẽ được xét xử khoan dung hơn các ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu quở trách các thành đã chứng kiến nhiều phép lạ Người làm mà không chịu sám hối: “Hỡi Corozain, khốn cho ngươi! Hỡi Bethsaiđa, khốn cho ngươi! Vì nếu đã xảy ra tại Tyrô và Siđon các phép lạ diễn ra nơi các ngươi, thì họ đã mặc áo nhặm, rắc tro mà ăn năn hối cải từ lâu rồi. Nên Ta bảo các ngươi: Trong ngày phán xét, Tyrô và Siđon sẽ được xét xử khoan dung hơn các ngươi.\r“Còn ngươi, hỡi Capharnaum, chớ thì ngươi nhắc mình lên tận trời sao? Ngươi sẽ phải rơi xuống địa ngục, vì nếu các phép lạ diễn ra giữa ngươi mà xảy ra tại Sôđôma, thì thành ấy đã tồn tại cho đến ngày nay. Vậy Ta bảo thật các ngươi: Trong ngày phán xét, Sôđôma sẽ được xét xử khoan dung hơn ngươi”.","end":"Ðó là lời Chúa"}},
+        "5153": {"firstReading":{"excerpt":"(Năm II) Is 10, 5-7. 13-16","info":"“Cái cưa có thể tự cao tự đại đối với thợ cưa sao?”","title":"Trích sách Tiên tri Isaia.","content":"Ðây Chúa phán: “Khốn cho Assur, là cây roi cơn giận của Ta. Cây gậy trong tay nó là cơn thịnh nộ của Ta. Ta sẽ sai nó chống lại dân ngoại dối trá, và truyền lệnh cho nó đi chống lại dân chọc giận Ta, để nó cướp bóc, mang chiến lợi phẩm về chà đạp dưới chân như bùn ngoài đường phố. Nhưng chính nó không đồng quan điểm như vậy, và lòng nó không tưởng nghĩ như thế. Trái lại, lòng nó ưa thích phá hoại, và huỷ diệt nhiều dân tộc. Vì chưng, nó nói rằng: ‘Tôi đã dùng sức mạnh cánh tay tôi, và dùng sự khôn ngoan của tôi mà làm việc ấy, vì tôi thông minh. Tôi đã dời đổi biên giới các dân, đã cướp lấy kho tàng các vua quan, và như người hùng, tôi lật đổ truất phế các thủ lãnh. Tay tôi lấy của cải các dân như bắt tổ chim. Tôi vơ vét cả hoàn cầu như lượm các trứng rơi, không một ai đập cánh hoặc mở miệng kêu la’.\r“Lẽ nào cái rìu lại khoe mình với kẻ cầm rìu sao? Lẽ nào cái cưa lại tự cao tự đại với thợ cưa sao? Lẽ nào cây roi có thể chống lại người cầm roi, và cây gậy có thể nâng tay người cầm gậy sao, vì nó chỉ là gỗ cây? Bởi đó Chúa tể là Thiên Chúa các đạo binh sẽ gửi sự điêu tàn đến giữa cảnh mầu mỡ của nó; và từ dưới cảnh vinh quang của nó, một ngọn lửa sẽ bốc cháy lên như ngọn lửa của một đám cháy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 93, 5-6. 7-8. 9-10. 14-15","response":"Ðáp: Chúa sẽ không loại trừ dân tộc của Chúa (c. 14a).","verses":["Xướng: Lạy Chúa, chúng chà đạp dân riêng Chúa, và làm khổ gia nghiệp của Ngài. Chúng bóp cổ khách kiều cư, người quả phụ, và chúng sát hại những kẻ mồ côi. – Ðáp.","Xướng: Chúng nói rằng: “Chúa không nhìn thấy, và Thiên Chúa nhà Giacóp cũng chẳng hay”. Ðồ ngu xuẩn trong dân, các ngươi nên hiểu biết; lũ dại khờ, bao giờ các ngươi mới nhận ra? – Ðáp.","Xướng: Ðấng làm ra tai, há chẳng biết nghe? Ðấng nặn ra mắt, há không nhìn thấy? Ðấng giáo dục chư dân, há không sửa lỗi? Ðấng dạy bảo thiên hạ, há chẳng thông minh? – Ðáp.","Xướng: Vì Chúa sẽ không loại trừ dân tộc, và không bỏ rơi gia nghiệp của Người. Nhưng sự xét xử sẽ trở lại đường công chính, và mọi người lòng ngay sẽ thuận tình theo. – Ðáp."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa và đừng cứng lòng. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Lạy Cha là Chúa Tể trời đất, con xin ngợi khen Cha, vì Cha đã mạc khải mầu nhiệm Nước Trời cho những người bé mọn. – Alleluia"},"gospel":{"excerpt":"Mt 11, 25-27","info":"“Chúa đã giấu không cho những người khôn ngoan biết những điều ấy, mà lại mạc khải cho những kẻ bé mọn”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu thưa rằng: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã giấu không cho những người hiền triết và khôn ngoan biết những điều ấy, mà lại mạc khải cho những kẻ bé mọn. Vâng, lạy Cha, vì ý Cha muốn như vậy. Mọi sự đã được Cha Ta trao phó cho Ta. Và không ai biết Con trừ ra Cha; và cũng không ai biết Cha trừ ra Con và kẻ Con muốn mạc khải cho”.","end":"Ðó là lời Chúa"}},
+        "5154": {"firstReading":{"excerpt":"(Năm II) Is 26, 7-9. 12. 16-19","info":"“Hỡi những kẻ nằm trong tro bụi, hãy thức dậy và hãy nhảy mừng”.","title":"Trích sách Tiên tri Isaia.","content":"Ðường lối người công chính thì ngay thẳng, Chúa ban cho bằng phẳng đường nẻo của người công chính. Lạy Chúa, chúng con cậy trông Chúa trong đường xét xử của Chúa. Thánh danh và sự kính nhớ Chúa là sự ước mong của tâm hồn. Ban đêm hồn con khát khao Chúa, và sớm mai khi thức dậy, lòng trí con hướng về Chúa. Từ khi Chúa thực hiện việc xét xử ở trần gian, thì người dương thế học biết sự công chính.\rLạy Chúa, Chúa ban cho chúng con ơn bình an, vì mọi việc chúng con làm, đều do Chúa làm cho chúng con.\rLạy Chúa, trong cơn hoạn nạn, chúng con đã tìm kiếm Chúa, và trong khi Chúa sửa dạy, chúng con kêu van đến Chúa. Lạy Chúa, trước tôn nhan Chúa, chúng con khác nào như đàn bà mang thai sắp sinh, kêu la đau đớn. Chúng con cưu mang, chúng con đau đớn như phải sinh con.\rChúng con không mang lại sự cứu độ cho trần gian, và không còn người sinh ra trên trần gian. Người chết của Chúa sẽ được sống, các xác chết của con sẽ sống lại. Hỡi những kẻ nằm trong tro bụi, hãy thức dậy và nhảy mừng, vì sương Chúa là sương ánh sáng, và trái đất sẽ làm tái sinh u tối.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 101, 13-14ab và 15. 16-18. 19-21","response":"Ðáp: Từ trời cao xanh Chúa đã quan sát địa cầu (c. 20b).","verses":["Xướng: Phần Chúa, lạy Chúa, đời đời còn mãi và danh Ngài tồn tại đời nọ tới đời kia. Xin Ngài đứng lên, thương xót Sion, nay là thời để Ngài quan tâm phù trợ. Các bầy tôi ưa thích tường hoa móng đá, và ngậm ngùi thương đống gạch tro hoang tàn. – Ðáp.","Xướng: Lạy Chúa, muôn dân sẽ kính tôn danh thánh Chúa, và mọi vua trên địa cầu sẽ quý trọng vinh quang Ngài; khi Chúa sẽ tái lập Sion, Ngài xuất hiện trong vinh quang xán lạn; Ngài sẽ đoái nghe lời nguyện kẻ túng nghèo, và không chê lời họ kêu van. – Ðáp.","Xướng: Những điều này được ghi lại cho thế hệ mai sau, và dân tộc được tác tạo sẽ ca tụng Thiên Chúa. Từ thánh điện cao sang Chúa đã đoái nhìn, từ trời cao Chúa đã ngó xuống trần thế, để nghe tiếng than khóc của tù nhân, để giải thoát kẻ bị lên án tử. – Ðáp."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Chúa nói: “Tất cả những ai đang vất vả mang gánh nặng nề, hãy đến cùng tôi, tôi sẽ cho nghỉ ngơi bồi dưỡng” – Alleluia."},"gospel":{"excerpt":"Mt 11, 28-30","info":"“Ta hiền lành và khiêm nhượng trong lòng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Hãy đến với Ta tất cả, hỡi những ai khó nhọc và gánh nặng, Ta sẽ nâng đỡ bổ sức cho các ngươi. Hãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng, và tâm hồn các ngươi sẽ gặp được bình an. Vì ách của Ta thì êm ái và gánh của Ta thì nhẹ nhàng”.","end":"Ðó là lời Chúa"}},
+        "5155": {"firstReading":{"excerpt":"(Năm II) Is 38, 1-6. 21-22. 7-8","info":"“Ta đã nghe lời ngươi cầu nguyện, và Ta đã lau sạch nước mắt của ngươi”.","title":"Trích sách Tiên tri Isaia.","content":"Trong những ngày ấy Êdêkia đau gần chết. Tiên tri Isaia, con ông Amos đến thưa người rằng: “Chúa phán thế này: Ngươi hãy sắp xếp công việc nhà cửa của ngươi, vì ngươi sắp chết, không sống được nữa”. Êdêkia liền quay mặt vào vách, cầu nguyện cùng Chúa rằng: “Ôi lạy Chúa, con van xin Chúa, xin Chúa hãy nhớ lại: con đã sống ngay chính trước mặt Chúa, và đã làm những điều đẹp lòng Chúa”. Rồi Êdêkia than khóc lớn tiếng.\rBấy giờ Chúa phán cùng Isaia rằng: “Hãy đi nói với Êdêkia rằng: Ðây Chúa là Thiên Chúa Ðavít, tổ phụ ngươi, phán thế này: Ta đã nghe lời ngươi cầu nguyện, và Ta đã thấy nước mắt của ngươi. Ta sẽ cho ngươi sống thêm mười lăm năm nữa. Ta sẽ cứu ngươi và bảo vệ thành này khỏi tay vua Assyria”.\rIsaia sai người đi lấy mẩu bánh trái vả đắp lên mụn ung độc, và vua liền khỏi bệnh. Bây giờ Êdêkia hỏi: “Có dấu nào cho ta biết coi ta còn lên đền thờ Chúa được chăng?” Isaia đáp: “Ðây là dấu lạ Chúa ban cho vua, vì Chúa sẽ thực hiện lời Người đã phán: “Ta sẽ làm cho bóng đã ngả trên bảng độ Acaz lui lại mười độ”. Và mặt trời lui lại mười độ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Is 38, 10. 11. 12. 16","response":"Ðáp: Lạy Chúa, xin cứu mạng sống con, ngõ hầu con khỏi phải chết (c. 17b).","verses":["Xướng: Con đã từng nói: Ðến nửa đời con, con sẽ đi đến cửa địa ngục. Con sẽ bị giam giữ những năm cuối đời con. – Ðáp.","Xướng: Con đã từng nói: Con sẽ không nhìn thấy Thiên Chúa trong đất nước những kẻ nhân sinh: con sẽ không còn thấy người ta nữa, không còn trông thấy dân chúng sống yên vui. – Ðáp.","Xướng: Miêu duệ con đã xa cách và lìa bỏ con, như chiếc lều của những mục tử. Như người thợ dệt, con lôi cuốn đời sống con đi; con chặt đứt nó, khi nó còn muốn kéo dài. – Ðáp.","Xướng: Lạy Chúa, đời sống con là như thế, và đời sống tinh thần của con cũng như vậy, nhưng xin Chúa hãy thuyên chữa và cứu sống con”. – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 12, 1-8","info":"“Con Người cũng là chủ ngày sabbat”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, vào ngày Sabbat, Chúa Giêsu đi ngang cánh đồng lúa. Các môn đệ của Người đói, liền bứt bông lúa mà ăn. Thấy vậy, các người biệt phái thưa với Người rằng: “Kìa, các môn đệ của Ngài làm điều không được phép làm trong ngày Sabbat”. Người nói với các ông rằng: “Các ông không đọc thấy Ðavít và những người đi với ông đã làm gì khi đói lả sao? Các ông cũng không đọc thấy Ðavít vào đền thờ Chúa ăn bánh trưng hiến, bánh mà ông và các kẻ theo ông không được phép ăn, chỉ trừ các tư tế được ăn mà thôi sao? Hay các ông không đọc thấy trong luật rằng: Ngày Sabbat, các tư tế trong đền thờ vi phạm ngày Sabbat mà không mắc tội đó sao? Tôi bảo cho các ông biết, đây có Ðấng còn trọng hơn đền thờ nữa. Vì nếu các ông biết được điều này là, “Ta muốn lòng nhân từ, chứ không muốn hy lễ”, chắc các ông không bao giờ lên án những người vô tội, vì chưng Con Người cũng là chủ ngày Sabbat”.","end":"Ðó là lời Chúa"}},
+        "5156": {"firstReading":{"excerpt":"(Năm II) Mk 2, 1-5","info":"“Chúng tham lam ruộng đất và chiếm lấy nhà cửa”.","title":"Trích sách Tiên tri Mikha.","content":"Khốn cho những kẻ suy tính điều gian ác, và mưu đồ việc xấu xa trong phòng mình. Sáng ngày, chúng thực hiện điều đó, vì tay chúng chống lại Thiên Chúa. Chúng tham lam và dùng võ lực chiếm lấy ruộng đất, nhà cửa kẻ khác. Chúng ức hiếp người ta, phá phách nhà họ, chủ nhà và sản nghiệp của họ. Vì thế, Chúa phán thế này:\rÐây Ta toan giáng hoạ trên dòng giống này mà các ngươi không thoát được, các ngươi không ngước đầu lên mà đi được nữa, vì đây là thời kỳ tai hoạ. Trong ngày đó, người ta ngâm bài trào phúng chế diễu các ngươi và sẽ hát bài ca thán mà rằng: “Chúng ta đã bị bóc lột hết rồi, sản nghiệp dân ta bị đổi chủ, làm sao Chúa tước đoạt của cải chúng ta, và phân chia đất đai chúng ta cho những kẻ bóc lột chúng ta”.\rVì thế, trong cộng đoàn Thiên Chúa, không còn ai giăng dây chia đất cho ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 10, 1-2. 3-4. 7-8. 14","response":"Ðáp: Lạy Chúa, xin đừng quên những kẻ cơ bần (c. 12b).","verses":["Xướng: Lạy Chúa, tại sao Ngài xa cách, tại sao Ngài ẩn mặt trong lúc gian truân, đang khi đứa ác kiêu căng, người nghèo bị hại, bị trúng mưu gian nó đã bày ra?","Xướng: Bởi đứa tội nhân đang hãnh diện vì lòng tham; tên kẻ cắp đang lộng ngôn, khinh nhờn Chúa. Ðứa ác nhân ngạo nghễ thốt lời: “Ngài không báo ứng, không có Chúa Trời!” Ðó là tất cả điều nó suy tư.","Xướng: Miệng nó đầy lời chửi rủa, gian ngoan và xảo kế, dưới lưỡi nó chứa sự tân toan và sách nhiễu. Nó ngồi núp gần những nơi thôn xóm, trong chỗ khuất tịch nó giết người hiền lương, mắt nó rình xem kẻ cơ bần.","Xướng: Nhưng Ngài thấy, Ngài nhìn nỗi tân toan sầu khổ, để rồi Ngài đỡ lấy trong tay. Kẻ cơ bần đem thân phó thác cho Ngài, Ngài là Ðấng phù trợ kẻ mồ côi. – Ðáp."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Mt 12, 14 – 21","info":"“Người cấm họ đừng cho ai biết Người, để ứng nghiệm lời đã phán”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các người biệt phái đi ra ngoài, bàn mưu kế chống lại Chúa Giêsu để hãm hại Người. Biết thế, Chúa Giêsu rời bỏ nơi ấy. Có nhiều kẻ đi theo Người, và ai có bệnh, đều được Người chữa lành. Người cấm họ đừng cho ai biết Người, để ứng nghiệm lời tiên tri Isaia đã chép rằng:\r“Này là tôi tớ Ta đã chọn, là người Ta rất yêu dấu, đẹp lòng Ta mọi đàng. Ta sẽ cho Thần trí ngự trên Người. Người sẽ rao giảng sự công chính cho dân ngoại. Người không cãi cọ hay dức lác, và không ai nghe tiếng Người ngoài đường phố. Người không bẻ gãy cây sậy đã giập, không dập tắt tim đèn còn khói, cho đến lúc Người khiến sự công minh được toàn thắng. Dân ngoại sẽ hy vọng vào danh Người”.","end":"Ðó là lời Chúa"}},
+        "5161": {"firstReading":{"excerpt":"(Năm II) Mk 6, 1-4. 6-8","info":"“Người hỡi, Ta sẽ chỉ cho ngươi việc phải làm, và việc nào Chúa đòi hỏi nơi ngươi”.","title":"Trích sách Tiên tri Mikha.","content":"Các ngươi hãy nghe Chúa phán: “Ngươi hãy đứng lên, hãy trình bày lời tố cáo của ngươi trước núi non, và các đồi hãy nghe tiếng của ngươi. Hỡi các núi và nền tảng kiên cố của địa cầu, hãy nghe Chúa tố cáo dân Người và biện luận với Israel.\r“Hỡi dân Ta, Ta đã làm gì cho ngươi? Hay là Ta đã làm khổ ngươi điều gì? Hãy trả lời cho Ta biết. Chính Ta dẫn ngươi ra khỏi đất Ai-cập, đã giải thoát ngươi khỏi nhà nô lệ, và sai Môsê, Aaron và Maria đi trước mặt ngươi?”\rTôi sẽ hiến dâng vật gì lên Thiên Chúa cho xứng đáng? Hay là tôi sấp mình trước Thiên Chúa Tối Cao? Tôi sẽ dâng lên Người của lễ toàn thiêu và con bê một tuổi chăng? Chúa có hài lòng với hằng ngàn chiên đực, hoặc hằng muôn vàn dê đực béo tốt chăng? Tôi sẽ dâng con đầu lòng để đền tội ác của tôi, và dâng con cái tôi để đền chính tội tôi chăng?\rNgười hỡi, Ta sẽ chỉ cho ngươi việc phải làm, và việc nào Chúa đòi hỏi nơi ngươi: tức là ngươi hãy thực hiện công bình, quý mến lòng nhân lành, và khiêm tốn bước theo Thiên Chúa ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 49, 5-6. 8-9. 16bc-17. 21 và 23","response":"Ðáp: Ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ (c. 23b).","verses":["Xướng: “Hãy tập họp cho Ta các tín đồ đã ký lời giao ước của Ta cùng hy sinh lễ”. Và trời cao sẽ loan truyền sự công chính của Ngài, vì chính Ðức Thiên Chúa, Ngài là thẩm phán. – Ðáp.","Xướng: Ta không khiển trách ngươi về chuyện dâng lễ vật, vì lễ toàn thiêu của ngươi đặt ở trước mặt Ta luôn. Ta không nhận từ nhà ngươi một con bò con, cũng không nhận từ đoàn chiên ngươi những con dê đực. – Ðáp.","Xướng: Tại sao ngươi ưa kể ra những điều huấn lệnh, và miệng ngươi thường nói về minh ước của Ta? Ngươi là kẻ không ưa lời giáo huấn, và ném bỏ lời Ta lại sau lưng. – Ðáp.","Xướng: Ngươi làm thế, mà Ta đành yên lặng? Ngươi đã tưởng rằng Ta cũng giống như ngươi? Ta sẽ bắt lỗi, sẽ phơi bày trước mặt ngươi tất cả. Ai hiến dâng lời khen ngợi, người đó trọng kính Ta; ai đi đường ngay thẳng, Ta chỉ cho thấy ơn Thiên Chúa cứu độ. – Ðáp."]},"alleluia":{"verse":"Ga 10, 27","content":"alleluia! – Chúa phán: “Con chiên Ta thì nghe tiếng Ta; Ta biết chúng và chúng theo Ta”. – Alleluia."},"gospel":{"excerpt":"Mt 12, 38-42","info":"“Nữ hoàng phương nam sẽ chỗi dậy lên án thế hệ này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có mấy luật sĩ và biệt phái thưa cùng Chúa Giêsu rằng: “Lạy Thầy, chúng tôi muốn thấy Thầy làm một dấu lạ”. Người trả lời: “Thế hệ hung ác gian dâm đòi một dấu lạ! Nhưng sẽ không cho dấu lạ nào, trừ dấu lạ tiên tri Giona. Cũng như xưa tiên tri Giona ở trong bụng cá ba đêm ngày thế nào, thì Con Người cũng sẽ ở trong lòng đất ba đêm ngày như vậy. Tới ngày phán xét, dân thành Ninivê sẽ chỗi dậy cùng với thế hệ này và lên án nó, vì họ đã nghe lời tiên tri Giona mà sám hối tội lỗi, nhưng đây có Ðấng cao trọng hơn Giô-na. Ðến ngày phán xét, nữ hoàng phương nam sẽ chỗi dậy cùng với thế hệ này và lên án nó: vì bà từ biên thuỳ trái đất đã đến nghe lời khôn ngoan của vua Salomon, nhưng đây có Ðấng cao trọng hơn Salomon”.","end":"Ðó là lời Chúa"}},
+        "5162": {"firstReading":{"excerpt":"(Năm II) Mk 7, 14-15. 18-20","info":"“Chúa ném mọi tội lỗi chúng tôi xuống đáy biển“.","title":"Trích sách Tiên tri Mikha.","content":"Lạy Chúa, với cây trượng của Chúa, xin chăn dắt dân Chúa, chăn dắt những con chiên thuộc quyền sở hữu của Chúa sống lẻ loi trong rừng, ở giữa núi Carmêlô. Tất cả được chăn dắt ở Basan và Galaad như ngày xưa. Như ngày ra khỏi Ai-cập, tôi cho nó thấy những việc lạ lùng. Có Chúa nào giống như Chúa là Ðấng dẹp tan mọi bất công, và tha thứ mọi tội lỗi của kẻ sống sót thuộc về Chúa? Chúa không khư khư giữ mãi cơn thịnh nộ của mình, vì Chúa ưa thích từ bi. Chúa còn thương xót chúng tôi, còn dày đạp những bất công của chúng tôi dưới chân Chúa, và ném mọi tội lỗi chúng tôi xuống đáy biển. Chúa ban cho Giacóp biết sự trung thành của Chúa, cho Abraham biết lòng từ bi mà Chúa đã thề hứa với tổ phụ chúng tôi từ ngàn xưa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 2-4. 5-6. 7-8","response":"Ðáp: Lạy Chúa, xin cho chúng con được nhìn thấy tình thương của Chúa (c. 8a).","verses":["Xướng: Lạy Chúa, Chúa đã phù trợ đất nước của Ngài, đã tài tình thay đổi số phận nhà Giacóp. Chúa đã tha thứ lỗi lầm của dân Ngài, và che đậy mọi điều tội ác của họ. Chúa đã cầm hãm tất cả sự bất bình, và tự nguôi đi lòng phẫn nộ.","Xướng: Lạy Chúa là Ðấng cứu độ, xin thương hồi phục chúng con, và từ bỏ lòng xung giận chúng con. Phải chăng Chúa giận chúng con muôn đời ngàn kiếp, hay là kéo dài lòng căm hận tới muôn đời?","Xướng: Há không phải chính Ngài cho chúng con hồi sinh, để dân tộc Ngài được hoan hỉ ở nơi Ngài? Lạy Chúa, xin cho chúng con nhìn thấy tình thương của Chúa, và ban cho chúng con được ơn Ngài cứu độ."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Mt 12, 46-50","info":"“Người giơ tay trên các môn đệ mà nói: Ðây là mẹ Ta và là anh em Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu còn đang nói với dân chúng, thì mẹ Người và anh em Người đứng ngoài tìm cách nói chuyện với Người. Có kẻ thưa rằng: “Kìa, mẹ Ngài và anh em Ngài đang đứng tìm Ngài ngoài kia”. Nhưng Người trả lời kẻ ấy rằng: “Ai là mẹ Ta, ai là anh em Ta?” Rồi Người giơ tay chỉ các môn đệ mà nói: “Ðây là mẹ Ta và là anh em Ta, vì hễ ai làm theo ý Cha Ta trên trời, thì người ấy là anh em, chị em và là mẹ Ta vậy”.","end":"Ðó là lời Chúa"}},
+        "5163": {"firstReading":{"excerpt":"(Năm II) Gr 2, 1-3. 7-8. 12-13","info":"“Họ đã bỏ Ta là nguồn nước hằng sống, để đào giếng rạn nứt”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ðây lời Chúa phán cùng tôi rằng: “Ngươi hãy đi và hãy la vào tai Giêrusalem rằng: Ðây Chúa phán: Ta đã nhớ mối tình thanh xuân của ngươi, nhớ đến tình yêu thời đính hôn của ngươi, khi đó ngươi theo Ta trong sa mạc, trong phần đất chưa gieo trồng. Lúc ấy Israel đã được thánh hiến cho Chúa, và là hoa quả đầu mùa của Người; những ai động đến nó, phải đắc tội và phải chuốc lấy tai hoạ”. Chúa phán như vậy.\r“Ta đã dẫn dắt các ngươi vào đất phì nhiêu, để các ngươi hưởng dùng hoa quả của nó; nhưng vừa ở đó, các ngươi đã làm dơ bẩn đất của Ta và biến cơ nghiệp Ta thành nơi ghê tởm. Các tư tế không nói: ‘Chúa ở đâu?’; (các kẻ) nắm giữ lề luật không nhìn biết Ta, còn các chủ chăn thì phản bội Ta, và các tiên tri lại nhân danh Baal mà nói tiên tri và chạy theo các bụt thần giả trá”.\rChúa lại phán: “Hỡi tầng trời, hãy kinh ngạc về điều này, và hỡi các cửa trời, hãy ưu sầu thảm não! Vì chưng, dân Ta đã phạm hai tội xấu xa: Họ đã từ bỏ Ta là nguồn nước hằng sống, để đào những giếng rạn nứt không giữ nước được”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 35, 6-7ab. 8-9. 10-11","response":"Ðáp: Lạy Chúa, nguồn sống là ở như nơi Chúa (c. 10a).","verses":["Xướng: Lạy Chúa, đức từ bi Ngài chạm tới trời cao; lòng trung tín của Ngài vươn tới ngàn mây. Ðức công minh của Ngài như núi non Thiên Chúa; sự phán quyết của Ngài như biển thẳm sâu. – Ðáp.","Xướng: Ôi Thiên Chúa, cao quý thay ân sủng của Ngài; con người ta tìm nương tựa trong bóng cánh của Ngài. Họ được ăn no đồ bổ dưỡng nơi nhà Chúa, và Chúa cho họ uống bởi nguồn vui thú của Ngài. – Ðáp.","Xướng: Bởi chưng nguồn sống là ở như nơi Chúa, và trong sự sáng của Ngài, chúng con nhìn xem sự sáng. Xin Chúa dành để tình thương cho những ai thờ Chúa, và đức công minh Ngài cho những kẻ lòng ngay. – Ðáp."]},"alleluia":{"verse":"Ga 15, 15b","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Mt 13, 10-17","info":"“Về phần các con, đã cho biết những mầu nhiệm Nước Trời, còn họ thì không cho biết”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ đến gần thưa Chúa Giêsu rằng: “Tại sao Thầy dùng dụ ngôn mà nói với họ?” Người đáp lại: “Về phần các con, đã cho biết những mầu nhiệm Nước Trời, còn họ thì không cho biết. Vì ai đã có, thì ban thêm cho họ được dư dật; còn kẻ không có, thì cái họ có cũng bị lấy đi. Bởi thế, Thầy dùng dụ ngôn mà nói với họ: vì họ nhìn mà không thấy, lắng tai mà không nghe và không hiểu chi hết. Thế mới ứng nghiệm lời tiên tri Isaia nói về họ rằng: “Các ngươi lắng tai nghe mà chẳng hiểu, trố mắt nhìn mà chẳng thấy gì. Vì lòng dân này đã ra chai đá, họ đã bịt tai, và nhắm mắt lại, kẻo mắt thấy được, tai nghe được, và lòng chúng hiểu được mà hối cải, và Ta lại chữa chúng cho lành”.\r“Phần các con, phúc cho mắt các con vì được thấy; và phúc cho tai các con vì được nghe. Quả thật, Thầy bảo các con: Nhiều vị tiên tri và nhiều đấng công chính đã ao ước trông thấy điều các con thấy, mà không được thấy; mong ước nghe điều các con nghe, mà không được nghe”.","end":"Ðó là lời Chúa"}},
+        "5164": {"firstReading":{"excerpt":"(Năm II) Gr 1, 1. 4-10","info":"“Ta đặt ngươi làm tiên tri cho các dân tộc”.","title":"Khởi đầu sách Tiên tri Giêrêmia.","content":"Lời của Giêrêmia, con trai của Helcia, thuộc gia tộc tư tế định cư ở Anathoth, thuộc lãnh thổ Bengiamin.\rCó lời Chúa phán cùng tôi rằng: “Trước khi tạo thành ngươi trong lòng mẹ, Ta đã biết ngươi, và trước khi ngươi ra khỏi lòng mẹ, Ta đã hiến thánh ngươi, Ta đã đặt ngươi làm tiên tri cho các dân tộc”. Và tôi đã thưa lại: “A, a, lạy Chúa là Thiên Chúa, con đâu có biết ăn nói, vì con còn con nít”. Nhưng Chúa phán cùng tôi rằng: “Ngươi đừng nói: Con là con nít, vì ngươi sẽ đi đến với những kẻ Ta sẽ sai ngươi đi; ngươi sẽ nói mọi điều Ta sẽ truyền dạy ngươi nói. Ngươi đừng sợ họ, vì Ta sẽ ở với ngươi để bảo vệ ngươi”. Chúa phán như thế. Và Chúa giơ tay sờ miệng tôi mà nói với tôi rằng: “Ðây Ta đặt lời Ta vào miệng ngươi. Ðây hôm nay Ta ban quyền cho ngươi trên các dân tộc và trên các vương quốc, để ngươi lật đổ và đập phá, phân tán và tiêu diệt, xây dựng và vun trồng”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 70, 1-2. 3-4a. 5-6ab. 15ab và 17","response":"Ðáp: Lạy Chúa, miệng con sẽ kể ra ơn Ngài giúp đỡ (x. c. 15).","verses":["Xướng: Lạy Chúa, con tìm đến nương nhờ Ngài, xin đừng để con tủi hổ muôn đời. Theo đức công minh Chúa, xin cứu nguy và giải thoát con, xin ghé tai về bên con và giải cứu.","Xướng: Xin trở nên thạch động để con dung thân, và chiến lũy vững bền hầu cứu độ con: vì Chúa là Ðá tảng, là chiến lũy của con. Lạy Chúa con, xin cứu con khỏi tay đứa ác.","Xướng: Bởi Ngài là Ðấng con mong đợi, thân lạy Chúa; lạy Chúa, Ngài là hy vọng của con tự hồi thanh xuân. Ngay từ trong bụng mẹ, con đã nép mình vào Chúa; từ trong thai mẫu, Chúa là Ðấng bảo vệ con.","Xướng: Miệng con sẽ loan truyền sự Chúa công minh, và suốt ngày kể ra ơn Ngài giúp đỡ. Lạy Chúa, Chúa đã dạy con từ hồi niên thiếu, và tới bây giờ con còn kể những sự lạ của Ngài."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Hạt giống là lời Thiên Chúa, người gieo giống là Đức Ki-tô. Ai tuân giữ lời Người sẽ muôn đời tồn tại. – Alleluia."},"gospel":{"excerpt":"Mt 13, 1-9","info":"“Nó sinh hoa kết quả gấp trăm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Ngày ấy, Chúa Giêsu ra khỏi nhà và đi đến ngồi ở ven bờ biển. Dân chúng tụ tập quanh Người đông đảo đến nỗi Người phải xuống thuyền mà ngồi, còn tất cả dân chúng thì đứng trên bờ. Và Người dùng dụ ngôn mà nói với họ nhiều điều. Người nói:\r“Này đây, có người gieo giống đi gieo lúa. Trong khi gieo, có hạt rơi xuống vệ đường, chim trời bay đến ăn mất. Có hạt rơi xuống trên đá sỏi, chỗ có ít đất, nó liền mọc lên, vì không có nhiều đất. Khi mặt trời mọc lên, bị nắng gắt, và vì không đâm rễ sâu, nên nó khô héo. Có hạt rơi vào bụi gai, gai mọc um tùm, nên nó chết nghẹt. Có hạt rơi xuống đất tốt và sinh hoa kết quả, có hạt được một trăm, có hạt được sáu mươi, hạt ba mươi. Ai có tai để nghe, thì hãy nghe”.","end":"Ðó là lời Chúa"}},
+        "5165": {"firstReading":{"excerpt":"(Năm II) Gr 3, 14-17","info":"“Ta sẽ ban cho các ngươi chủ chăn theo như ý Ta; và mọi dân tộc sẽ quy tụ tại Giêrusalem”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Chúa phán: “Hỡi con cái phản loạn, hãy hối cải, vì Ta là chủ các ngươi, Ta sẽ chọn trong các ngươi một người trong mỗi thành và hai người trong mỗi chi họ; Ta sẽ dẫn các ngươi lên Sion. Ta sẽ ban cho các ngươi những chủ chăn theo như ý Ta, để họ dùng lý trí và khôn ngoan chăn dắt các ngươi”.\rChúa lại phán: “Trong những ngày ấy, khi các ngươi sinh sản ra nhiều trong xứ, thì người ta không còn nói đến Hòm Bia Thiên Chúa nữa. Người ta sẽ không còn nghĩ tới, nhớ tới, hối tiếc và tạo lập hòm bia khác nữa.\r“Lúc đó, người ta sẽ gọi Giêrusalem là ngai của Chúa, mọi dân tộc nhân danh Chúa mà quy tụ tại Giêrusalem, và họ không theo lòng gian ác độc dữ của mình nữa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","response":"Ðáp: Chúa sẽ gìn giữ chúng ta như mục tử chăn dắt đoàn chiên mình (c. 10d).","verses":["Xướng: Hỡi các dân tộc, hãy nghe lời Chúa, hãy công bố lời Chúa trên các đảo xa xăm; hãy nói rằng: “Ðấng đã phân tán Israel, sẽ quy tụ nó lại, và sẽ gìn giữ nó, như mục tử chăn dắt đoàn chiên mình”. – Ðáp.","Xướng: Vì Chúa đã giải phóng Giacóp, giờ đây với cánh tay mạnh mẽ hơn, Người cứu thoát nó. Chúng sẽ đến và ca hát trên núi Sion, chúng sẽ đổ xô về phía hạnh phúc của Người. – Ðáp.","Xướng: Bấy giờ người thiếu nữ sẽ hân hoan nhảy mừng, các thanh niên và các cụ già cũng làm y như thế; Ta sẽ biến đổi tang chế của chúng ra niềm hân hoan, sẽ an ủi chúng và cho chúng hết đau khổ. – Ðáp."]},"alleluia":{"verse":"Gc 1, 13","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Hạnh phúc thay người thành tâm thiện chí, hằng ấp ủ lời Chúa trong lòng, nhờ kiên nhẫn mà sinh hoa kết quả. – Alleluia."},"gospel":{"excerpt":"Mt 13, 18-23","info":"“Kẻ nghe lời giảng mà hiểu được, nên sinh hoa kết quả”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Vậy các con hãy nghe dụ ngôn về người gieo giống: Kẻ nào nghe lời giảng về Nước Trời mà không hiểu, thì quỷ dữ đến cướp lấy điều đã gieo trong lòng nó: đó là kẻ thuộc hạng gieo dọc đường. Hạt rơi trên đá sỏi là kẻ khi nghe lời giảng, thì tức khắc vui lòng chấp nhận, nhưng không đâm rễ sâu trong lòng nó: đó là kẻ nông nổi nhất thời, nên khi cuộc bách hại, gian nan xảy đến vì lời Chúa, thì lập tức nó vấp ngã. Hạt rơi vào bụi gai, là kẻ nghe lời giảng, nhưng lòng lo lắng việc đời, ham mê của cải, khiến lời giảng bị chết ngạt mà không sinh hoa kết quả được. Hạt gieo trên đất tốt, là kẻ nghe lời giảng mà hiểu được, nên sinh hoa kết quả, đến nỗi có hạt được một trăm, có hạt sáu mươi, có hạt ba mươi”.","end":"Ðó là lời Chúa"}},
+        "5166": {"firstReading":{"excerpt":"(Năm II) Gr 7, 1-11","info":"“Nhà này là nơi phải khẩn cầu thánh danh Ta, đã trở thành hang trộm cướp rồi sao?”","title":"Trích sách Tiên tri Giêrêmia.","content":"Lời Chúa phán cùng Giêrêmia rằng: Ngươi hãy đứng nơi cửa đền thờ Chúa, và rao giảng lời này rằng: Hỡi toàn thể Giuđa, là những người vào cửa này mà thờ lạy Chúa, hãy nghe lời Chúa. Ðây Chúa các đạo binh, Thiên Chúa Israel phán: Các ngươi hãy cải thiện lối sống và hành động các ngươi, thì Ta sẽ ở với các ngươi tại chốn này. Các ngươi đừng tin theo lời dối trá này: Ðây có đền thờ Chúa, đền thờ Chúa, đền thờ Chúa! Vì nếu các ngươi cải thiện lối sống và hành động các ngươi, nếu các ngươi ăn ở ngay thẳng theo lề luật với những người trong nhà và những người thân cận, nếu các ngươi không áp bức ngoại kiều, trẻ mồ côi, và những người goá bụa, nếu các ngươi không đổ máu người vô tội tại chốn này, nếu các ngươi không chạy theo các thần ngoại lai mà mang hoạ vào mình, thì Ta sẽ ở với các ngươi tại chốn này, tại lãnh thổ mà Ta đã ban cho tổ phụ các ngươi từ đời này đến đời nọ.\rNhưng kìa, các ngươi tin tưởng vào những lời dối trá không sinh ích lợi gì cho các ngươi, như: trộm cướp, giết người, ngoại tình, thề dối, thờ cúng Baalim, chạy theo các thần ngoại lai mà các ngươi không biết; rồi các ngươi đến đứng trước mặt Ta trong đền thờ này là nơi kêu cầu thánh danh Ta, mà nói rằng: “Chúng tôi đã được bảo đảm để tiếp tục làm những việc ghê tởm đó”. Vậy, dưới mắt các ngươi, nhà này là nơi khẩn cầu thánh danh Ta, đã trở thành hang trộm cướp rồi sao? Chúa lại phán: Còn Ta, Ta hiện diện và Ta đã thấy rõ.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6a và 8a. 11","response":"Ðáp: Ôi Chúa thiên binh, khả ái thay cung điện của Ngài (c. 2).","verses":["Xướng: Linh hồn con khát khao và mòn mỏi, mong vào hành lang nhà Ðức Thiên Chúa. Tâm thần và thể xác con hoan hỉ tìm đến cùng Thiên Chúa trường sinh.","Xướng: Ðến như chim sẻ còn kiếm được nhà, và chim nhạn tìm ra tổ ấm, để làm nơi ấp ủ con mình, cạnh bàn thờ Chúa, ôi Chúa là Thiên Chúa thiên binh, ôi Ðại Vương là Thiên Chúa của con.","Xướng: Ôi Thiên Chúa, phúc đức ai ngụ nơi nhà Chúa: họ sẽ khen ngợi Chúa tới muôn đời. Phúc thay người Chúa con nâng đỡ, họ tiến lên ngày càng thêm hăng hái.","Xướng: Thực một ngày sống trong hành lang nhà Chúa đáng quý hơn ngàn ngày ở nơi đâu khác. Con ưa đứng nơi ngưỡng cửa nhà Chúa con, hơn là cư ngụ trong lều bọn ác nhân."]},"alleluia":{"verse":"Gc 1, 21","content":"alleluia. – Anh em hãy khiêm nhu nhận lãnh lời gieo trong lòng, lời đó có thể cứu thoát linh hồn anh em. – Alleluia."},"gospel":{"excerpt":"Mt 13, 24-30","info":"“Hãy cứ để cả hai mọc lên cho đến mùa gặt”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán một dụ ngôn khác cùng dân chúng rằng: Nước trời giống như người kia gieo giống tốt trong ruộng mình. Trong lúc mọi người ngủ, thì kẻ thù của ông đến gieo cỏ lùng vào ngay giữa lúa, rồi đi mất.\rKhi lúa lớn lên và trổ bông, thì cỏ lùng cũng lộ ra. Ðầy tớ chủ nhà đến nói với ông rằng: “Thưa ông, thế ông đã không gieo giống tốt trong ruộng ông sao? Vậy cỏ lùng từ đâu mà có?” Ông đáp: “Người thù của ta đã làm như thế”. Ðầy tớ nói với chủ: “Nếu ông bằng lòng, chúng tôi xin đi nhổ cỏ”. Chủ nhà đáp: “Không được, kẻo khi nhổ cỏ lùng, các anh lại nhổ luôn cả lúa chăng. Hãy cứ để cả hai mọc lên cho đến mùa gặt. Và đến mùa, ta sẽ dặn thợ gặt: Các anh hãy nhổ cỏ lùng trước, rồi bó lại từng bó mà đốt đi, sau mới thu lúa lại chất vào lẫm cho ta”.","end":"Ðó là lời Chúa"}},
+        "5171": {"firstReading":{"excerpt":"(Năm II) Gr 13, 1-11","info":"“Dân này sẽ như chiếc đai lưng không còn có thể xài được nữa”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ðây Chúa phán cùng tôi rằng: “Ngươi hãy đi mua sắm một dây đai lưng, rồi thắt vào lưng, và ngươi đừng nhúng vào nước”. Và tôi đi mua dây đai theo lệnh Chúa, rồi tôi thắt vào lưng.\rLời Chúa phán cùng tôi lần thứ hai rằng: “Ngươi hãy cởi dây đai ngươi đã mua sắm và đang thắt ngang lưng, rồi chỗi dậy đi đến Êuphratê, giấu nó trong hốc đá”. Và tôi ra đi giấu nó trong hốc đá như lời Chúa truyền dạy.\rSau nhiều ngày, Chúa lại phán cùng tôi rằng: “Ngươi hãy chỗi dậy, đi đến Êuphratê mà lấy dây đai lưng Ta đã truyền ngươi đem giấu ở đó”. Tôi ra đi đến Êuphratê, và lấy dây đai lưng ngay chỗ tôi đã giấu. Nhưng kìa, dây đai lưng đã mục nát cả, không còn xài được nữa.\rVà có lời Chúa phán cùng tôi rằng: “Ðây Chúa phán: Ta sẽ khiến cho lòng kiêu căng của Giuđa và lòng kiêu căng tột độ của Giêrusalem ra mục nát như vậy. Dân xấu xa này không còn muốn nghe lời Ta, cứ chạy theo lòng gian tà của nó, và chạy theo các thần ngoại lai để phụng sự và thờ lạy các thần đó, nên chúng sẽ như chiếc đai lưng này không còn xài được nữa”. Và Chúa phán tiếp: “Như đai lưng bám sát vào lưng người ta thế nào, Ta cũng đã làm cho nhà Israel và nhà Giuđa bám Ta như vậy, để chúng trở thành dân Ta, cao rao thánh danh, vinh dự và vinh quang của Ta, nhưng chúng đã không chịu nghe”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðnl 32, 18-19. 20. 21","response":"Ðáp: Ngươi đã bỏ Chúa, Ðấng đã sinh ra ngươi (c. 18a).","verses":["Xướng: Ngươi đã bỏ Chúa, Ðấng đã sinh ra ngươi; đã quên Chúa, Ðấng đã tạo thành ngươi. Chúa đã thấy, và Người đã nổi cơn thịnh nộ: vì con trai con gái Người đã trêu chọc Người.","Xướng: Chúa phán: Ta sẽ che giấu mặt Ta khỏi chúng, và nhìn xem tương lai chúng sẽ ra sao: vì là dòng giống ngỗ nghịch và là con bất hiếu.","Xướng: Chúng đã trêu chọc Ta bằng thứ chẳng phải là Chúa, đã lấy sự dối trá mà chọc giận Ta: Ta sẽ trêu chúng bằng thứ không phải là dân tộc, và sẽ dùng dân tộc dại dột làm cho chúng tức giận."]},"alleluia":{"verse":"Ga 17, 17b và a","content":"alleluia! – Lạy Chúa, lời của Chúa là chân lý, xin hãy thánh hoá chúng con trong sự thật. – Alleluia."},"gospel":{"excerpt":"Mt 13, 31-35","info":"“Hạt cải trở thành cây đến nỗi chim trời đến nương náu nơi ngành nó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán một dụ ngôn khác cùng dân chúng rằng: “Nước trời giống như hạt cải người kia gieo trong ruộng mình. Hạt ấy bé nhỏ hơn mọi thứ hạt giống, nhưng khi mọc lên, thì lớn hơn mọi thứ rau cỏ, rồi thành cây, đến nỗi chim trời đến nương náu nơi ngành nó”.\rNgười lại nói với họ một dụ ngôn khác nữa mà rằng: “Nước trời giống như nắm men người đàn bà kia lấy đem trộn vào ba đấu bột, cho đến khi bột dậy men”.\rChúa Giêsu dùng dụ ngôn mà phán những điều ấy với dân chúng. Người không phán điều gì với họ mà không dùng dụ ngôn, để ứng nghiệm lời tiên tri đã chép rằng: “Ta sẽ mở miệng nói lời dụ ngôn: Ta sẽ tỏ ra những điều bí nhiệm từ lúc dựng nên thế gian”.","end":"Ðó là lời Chúa"}},
+        "5172": {"firstReading":{"excerpt":"(Năm II) Gr 14, 17-22","info":"“Lạy Chúa, xin hãy nhớ lại, xin Chúa chớ huỷ bỏ giao ước giữa Ngài và chúng con”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Ngày đêm mắt ta rơi lệ không ngừng, vì trinh nữ con gái dân ta bị trọng thương, vết tích quá trầm trọng. Nếu ta đi ra đồng, thì đây những kẻ bị giết bằng gươm; nếu ta vào thành phố, thì đây những kẻ chết đói. Tiên tri và tư tế đều đi đến đất nước mình chẳng quen biết.\rChớ thì Chúa ruồng bỏ Giuđa sao? Hay lòng Chúa ghê tởm Sion rồi sao? Vậy tại sao Ngài đánh phạt chúng con đến nỗi không chữa được nữa? Chúng con mong đợi sự hoà bình mà không gặp sự lành; và chúng con mong đợi kỳ lành bệnh, thì đây toàn là xui xẻo.\rLạy Chúa, chúng con nhìn nhận những sự độc dữ của chúng con và sự gian ác của cha ông chúng con, vì chúng con đã phạm đến Chúa. Vì thánh danh Chúa, xin đừng để chúng con phải nhục nhã; vì toà vinh quang của Chúa, xin đừng để chúng con nhuốc hổ; xin Chúa nhớ lại, xin đừng huỷ bỏ giao ước giữa Chúa với chúng con.\rTrong các tượng thần dân ngoại, chớ thì có vị nào làm cho mưa xuống chăng? Hay là tầng trời có thể đổ mưa xuống chăng? Nào Ngài chẳng phải là Thiên Chúa chúng con mong đợi sao? Vì chính Chúa tạo thành tất cả những sự đó.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 78, 8. 9. 11 và 13","response":"Ðáp: Lạy Chúa, vì vinh quang danh Chúa, xin giải thoát chúng con (c. 9bc).","verses":["Xướng: Xin đừng nhớ lỗi tiền nhân để trị chúng con; xin kíp mở lòng từ bi đón nhận chúng con, vì chúng con lầm than quá đỗi!","Xướng: Ôi Thiên Chúa, Ðấng cứu độ chúng con, xin phù trợ chúng con vì vinh quang danh Chúa; xin giải thoát và tha tội chúng con vì danh Ngài.","Xướng: Xin cho tiếng tù binh rên xiết vọng tới thiên nhan; xin ra tay thần lực giải thoát người mang án tử. Phần chúng con là thần dân Chúa, là đoàn chiên Chúa chăn nuôi, chúng con sẽ ca tụng Chúa tới muôn đời, đời nọ sang đời kia, chúng con loan truyền lời ngợi khen Chúa."]},"alleluia":{"verse":"Dt 4, 12","content":"alleluia! – Lời Thiên Chúa là lời hằng sống, linh nghiệm, phân rẽ tư tưởng và là ý muốn của tâm hồn. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! – Hạt giống là Lời Thiên Chúa, người gieo giống là Đức Ki-tô. Ai tuân giữ lời Người, sẽ muôn đời tồn tại. Alleluia."},"gospel":{"excerpt":"Mt 13, 36-43","info":"“Cũng như người ta thu lấy cỏ lùng, rồi thiêu đốt trong lửa thế nào, thì ngày tận thế cũng sẽ xảy ra như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, sau khi giải tán dân chúng, Chúa Giêsu trở về nhà. Các môn đệ đến gặp Người và thưa rằng: “Xin Thầy giải thích dụ ngôn cỏ lùng trong ruộng cho chúng con nghe”. Người đáp lại rằng: “Kẻ gieo giống tốt là Con Người. Ruộng là thế gian. Còn hạt giống tốt là con cái Nước Trời. Cỏ lùng là con cái gian ác. Kẻ thù gieo cỏ lùng là ma quỷ. Mùa gặt là ngày tận thế. Thợ gặt là các thiên thần. Cũng như người ta thu lấy cỏ lùng, rồi thiêu đốt trong lửa thế nào, thì ngày tận thế cũng sẽ xảy ra như vậy: Con Người sẽ sai các thiên thần đi thu tất cả gương xấu và mọi kẻ làm điều gian ác khỏi nước Chúa, rồi ném tất cả chúng vào lửa: ở đó sẽ phải khóc lóc nghiến răng. Bấy giờ kẻ lành sẽ sáng chói như mặt trời trong nước của Cha mình. Ai có tai để nghe thì hãy nghe”.","end":"Ðó là lời Chúa"}},
+        "5173": {"firstReading":{"excerpt":"(Năm II) Gr 15, 10. 16-21","info":"“Tại sao tôi cứ buồn sầu mãi? Nếu ngươi quay trở về, ngươi sẽ hiên ngang trước mặt Ta”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Mẹ hỡi, khốn cho con, tại sao mẹ đã sinh ra con là kẻ hay tranh luận và cãi vã trong khắp xứ? Con không cho vay mượn và cũng không ai cho con vay mượn, thế mà mọi người đều nguyền rủa con.\rLạy Chúa là Thiên Chúa các đạo binh, con lấy lời Chúa làm của ăn. Lời của Chúa trở nên sự vui mừng và hân hoan cho lòng con, vì danh Chúa được kêu cầu trên con.\rCon không ngồi trong đám người chơi bời; con hãnh diện vì các việc tay Chúa làm. Con chỉ ngồi một mình, vì Chúa đã khiến con đầy lời Chúa đe phạt. Tại sao con cứ buồn sầu mãi, và vết thương con trở thành hiểm nghèo bất trị? Nó trở nên như nước giả dối chóng cạn.\rVì vậy, Chúa phán thế này: “Nếu ngươi quay trở về, Ta sẽ cho ngươi về đứng trước mặt Ta: nếu ngươi phân biệt được vật quý với vật hèn, ngươi sẽ nên như miệng Ta, người ta sẽ quay về với ngươi, và ngươi không phải quay về với họ. Ta sẽ khiến ngươi nên tường đồng kiên cố cho dân này. Họ sẽ giao chiến với ngươi, nhưng họ không thắng được, vì Chúa phán: Ta ở cùng ngươi để giải thoát và cứu chữa ngươi. Ta sẽ giải phóng ngươi khỏi tay kẻ độc dữ, và sẽ cứu chữa ngươi khỏi tay kẻ hung bạo”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 58, 2-3. 4-5a. 10-11. 17. 18","response":"Ðáp: Thiên Chúa là chỗ con nương thân trong ngày cơ khổ (c. 17d).","verses":["Xướng: Ôi Thiên Chúa, xin cứu con thoát lũ địch nhân; bảo vệ con khỏi bọn người nổi lên chống đối! Xin giải gỡ con khỏi những kẻ chuyên làm điều ác, và cứu con xa thoát bọn sát nhân.","Xướng: Kìa chúng đang gài bẫy để sát hại con; âm mưu chống đối con là bọn người quyền thế. Lạy Chúa, con không vương tội ác lỗi lầm; dầu con vô tội, chúng cũng ùa tới tấn công. – Ðáp.","Xướng: Lạy Chúa là sức mạnh con, con hướng thân tìm về Chúa, vì lạy Chúa, Chúa là đồn lũy bảo vệ con. Thân lạy Chúa, Chúa là Ðấng xót thương con; lạy Chúa, xin Ngài ra tay nâng đỡ, khiến cho con được vui nhìn quân nghịch phải thua.","Xướng: Phần con, con sẽ ca ngợi quyền năng Chúa, và mỗi buổi sáng, con hoan hỉ vì đức từ bi của Chúa, vì Chúa đã trở nên đồn lũy bảo vệ con, và chỗ con nương thân trong ngày cơ khổ.","Xướng: Lạy Chúa là sức mạnh con, con ca ngợi Chúa; vì lạy Chúa, Chúa là đồn lũy bảo vệ con, thân lạy Chúa, Chúa là Ðấng xót thương con."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 13, 44-46","info":"“Anh bán tất cả những gì anh có mà mua thửa ruộng đó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Nước trời giống như kho tàng chôn giấu trong ruộng, người kia tìm được, vội chôn vùi xuống, vui mừng trở về bán tất cả những gì anh có mà mua thửa ruộng ấy. Nước trời cũng giống như người buôn nọ đi tìm ngọc quý. Tìm được một viên ngọc quý, anh trở về bán mọi của cải mà mua viên ngọc ấy.","end":"Ðó là lời Chúa"}},
+        "5174": {"firstReading":{"excerpt":"(Năm II) Gr 18, 1-6","info":"“Như hòn đất nơi tay thợ gốm thế nào, thì các ngươi ở trong tay Ta cũng như vậy”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Có lời Chúa phán cùng Giêrêmia rằng: “Ngươi hãy chỗi dậy, đi xuống nhà thợ gốm, và ở đấy ngươi sẽ nghe lời Ta”. Tôi liền xuống nhà thợ gốm, và đây anh đang nắn đồ trên bàn quay. Cái bình đất do tay anh nắn đã vỡ nát, anh lại nắn cái khác theo như ý anh muốn làm. Và có lời Chúa phán cùng tôi rằng: “Chúa phán: Hỡi nhà Israel, nào Ta chẳng làm được cho các ngươi như người thợ gốm này sao? Hỡi nhà Israel! Ðây, như hòn đất trong tay người thợ gốm thế nào, thì các ngươi ở trong tay Ta cũng như vậy”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 2abc. 2d-4. 5-6","response":"Ðáp: Phúc thay người được Thiên Chúa nhà Giacóp phù trợ (c. 5a).","verses":["Xướng: Linh hồn tôi ơi, hãy khen ngợi Thiên Chúa; tôi sẽ khen ngợi Thiên Chúa trong cả cuộc đời; bao lâu còn có thân tôi, tôi còn ca ngợi Chúa. – Ðáp.","Xướng: Ðừng tin cậy vào những vị quân vương, vào con người phàm không thể ban ơn cứu độ. Lúc y tắt thở, y sẽ trở về bụi đất; bấy giờ những lời bàn của y cũng tiêu tan. – Ðáp.","Xướng: Phúc thay người được Thiên Chúa nhà Giacóp phù trợ, người đặt hy vọng vào Chúa là Thiên Chúa của mình: Người là Ðấng đã tạo thành trời đất, biển khơi và muôn vật chúng đang chứa đựng. Người là Ðấng giữ trung tín muôn đời. – Ðáp."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 13, 47-53","info":"“Người ta lựa cá tốt bỏ vào giỏ, còn cá xấu thì ném ra ngoài”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Nước trời lại giống như lưới thả dưới biển, bắt được mọi thứ cá. Lưới đầy, người ta kéo lên bãi, rồi ngồi đó mà lựa chọn: cá tốt thì bỏ vào giỏ, còn cá xấu thì ném ra ngoài. Ðến ngày tận thế cũng như vậy: các thiên thần sẽ đến mà tách biệt kẻ dữ ra khỏi người lành, rồi ném những kẻ dữ vào lò lửa: ở đó sẽ phải khóc lóc nghiến răng. Các ngươi có hiểu những điều đó không?” Họ thưa: “Có”.\rNgười liền bảo họ: “Bởi thế, những thầy thông giáo am tường về Nước trời cũng giống như chủ nhà kia, hay lợi dụng những cái cũ, mới trong kho mình”. Khi Chúa Giêsu phán các dụ ngôn đó xong, thì Người rời khỏi nơi ấy.","end":"Ðó là lời Chúa"}},
+        "5175": {"firstReading":{"excerpt":"(Năm II) Gr 26, 1-9","info":"“Toàn thể dân chúng tập họp trước Thiên Chúa”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Khi Gioakim, con của Giosia vua nước Giuđa mới lên cai trị, thì Chúa phán rằng: “Ðây Chúa phán: Ngươi hãy đứng giữa tiền đàng đền thờ Chúa, và bảo mọi thành phố nước Giuđa đến thờ lạy trong đền thờ Chúa, hãy nói cho họ biết tất cả những lời Ta truyền cho ngươi nói với họ: ngươi chớ bớt một lời; may ra ai nấy nghe mà trở lại, và bỏ đàng tội lỗi của mình, mong Ta hối tiếc tai hoạ Ta định giáng xuống họ, vì sự gian ác họ ưa thích. Và ngươi hãy bảo họ rằng: Ðây Chúa phán: Nếu các ngươi không nghe Ta để bước đi trong lề luật Ta đã ban cho các ngươi, để nghe lời các tiên tri tôi tớ Ta mà ban đêm Ta chỗi dậy và điều động sai đến các ngươi, và các ngươi không nghe, thì Ta sẽ để đền thờ này như Silô, sẽ khiến thành này bị hết thảy các dân trên địa cầu nguyền rủa”.\rCác tư tế, các tiên tri, toàn dân đều nghe Giêrêmia nói những lời ấy trong đền thờ Chúa. Khi Giêrêmia nói hết những lời Chúa truyền cho ông nói với toàn dân, thì các tư tế, các tiên tri, và toàn dân bắt ông và nói rằng: “Ngươi phải chết! Tại sao ngươi nhân danh Thiên Chúa mà nói tiên tri rằng: ‘Ðền thờ này sẽ như Silô, thành này sẽ hoang vu không ai cư ngụ’?” Và toàn dân tập họp phản đối Giêrêmia trong đền thờ Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 5. 8-10. 14","response":"Ðáp: Lạy Chúa, xin nhậm lời con theo lượng cả đức từ bi (c. 14c).","verses":["Xướng: Những kẻ thù ghét con vô cớ, chúng nhiều hơn số tóc trên đầu con. Chúng thực là mạnh thế hơn con, những con người phản hại con trái lẽ: điều mà con không lấy, con cũng phải đền ư?","Xướng: Sở dĩ vì Chúa mà con chịu nhục, và thẹn thò làm nhơ nhuốc mặt con. Con bị những người anh em coi như khách lạ, bị những người cùng con một mẹ xem như kẻ ngoại lai. Sự nhiệt tâm lo việc nhà Chúa khiến con mòn mỏi; điều tủi nhục người ta nhục mạ Chúa đổ trên mình con.","Xướng: Nhưng lạy Chúa, con dâng lời nguyện cầu lên Chúa con. Ôi Thiên Chúa, đây là lúc biểu lộ tình thương. Xin nhậm lời con theo lượng cả đức từ bi, theo ơn phù trợ trung thành của Chúa."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Mt 13, 54-58","info":"“Nào ông chẳng phải là con bác thợ mộc ư? Vậy bởi đâu ông được những sự ấy?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu trở về quê quán Người, và giảng dạy người ta trong hội đường, khiến người ta ngạc nhiên và nói rằng: “Bởi đâu ông này được sự khôn ngoan và quyền làm phép lạ như vậy? Nào ông chẳng phải là con bác thợ mộc sao? Nào mẹ ông chẳng phải là bà Maria, và Giacôbê, Giuse, Simon, Giuđa chẳng phải là anh em ông sao? Và chị em ông, nào chẳng phải những người ở nơi chúng ta sao? Vậy bởi đâu ông được những sự ấy?” Và họ vấp phạm đến Người.\rNhưng Chúa Giêsu phán cùng họ rằng: “Không tiên tri nào mà không được vinh dự, trừ nơi quê quán và nhà mình”. Người không làm nhiều phép lạ ở đó, vì họ chẳng có lòng tin.","end":"Ðó là lời Chúa"}},
+        "5176": {"firstReading":{"excerpt":"(Năm II) Gr 26, 11-16. 24","info":"“Thật Chúa đã sai tôi đến nói với các ngươi những lời đó”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Trong những ngày ấy, các tư tế và các tiên tri nói cùng các đầu mục và toàn dân rằng: “Người này đáng xử tử, vì nó đã nói tiên tri chống lại thành này, như tai các ngươi đã nghe”. Giêrêmia nói cùng tất cả các đầu mục và toàn dân rằng: “Chúa đã sai tôi đến nói tiên tri về đền thờ này và về thành này tất cả những lời các ngươi đã nghe. Vậy giờ đây, các ngươi hãy cải thiện đời sống và những điều các ngươi ưa thích, hãy nghe tiếng Chúa là Thiên Chúa các ngươi, thì Chúa sẽ hối tiếc tai hoạ Người đã phán chống lại các ngươi. Phần tôi đây, tôi ở trong tay các ngươi, các ngươi cứ đối xử với tôi điều mà các ngươi cho là tốt là phải. Nhưng các ngươi hãy hiểu biết rằng: nếu các ngươi giết tôi, thì các ngươi sẽ đổ máu vô tội lên chính các ngươi, lên thành này và dân cư của nó. Vì thật Chúa đã sai tôi đến với các ngươi để nói vào tai các ngươi tất cả những lời đó”.\rNhững đầu mục và toàn dân nói cùng các tư tế và các tiên tri rằng: “Không được xử tử người này, vì ông đã nhân danh Chúa là Thiên Chúa chúng ta mà nói với chúng ta”. Vậy Ahica con của Sapha ra tay bảo vệ Giêrêmia, để ông khỏi bị nộp vào tay dân chúng định giết ông.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 68, 15-16. 30-31. 33-34","response":"Ðáp: Ôi Thiên Chúa, đây là lúc biểu lộ tình thương, xin nhậm lời con (c. 14).","verses":["Xướng: Nguyện cứu con thoát nơi bùn nhơ kẻo bị chìm; xin giải thoát con khỏi tay những người ghen ghét, và thoát khỏi những đầm nước thẳm sâu. Xin đừng để cho ba đào lôi cuốn; xin đừng để cho vực thẳm nuốt trửng, cũng đừng để cho giếng ngậm miệng nhốt con. –","Xướng: Phần con, con đau khổ cơ hàn, lạy Chúa, xin gia ân phù trợ, bảo toàn con. Con sẽ xướng bài ca ngợi khen danh Chúa, và con sẽ chúc tụng Ngài với bài tri ân.","Xướng: Các bạn khiêm cung, hãy nhìn coi và hoan hỉ; các bạn tìm kiếm Chúa, lòng các bạn hãy hồi sinh: vì Chúa nghe những người cơ khổ, và không chê bỏ con dân của Người bị bắt cầm tù."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! – Phúc thay ai bị bách hại vì sống công chính, vì Nước Trời là của họ. Allleluia."},"gospel":{"excerpt":"Mt 14, 1-12","info":"“Hêrôđê sai người đi chặt đầu Gioan, và các môn đệ của Gioan đi báo tin cho Chúa Giêsu”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy quận vương Hêrôđê nghe danh tiếng Chúa Giêsu, thì nói với những kẻ hầu cận rằng: “Người này là Gioan Tẩy Giả, ông từ cõi chết sống lại, nên mới làm được các phép lạ như vậy”. Tại vì Hêrôđia vợ của anh mình mà vua Hêrôđê đã bắt trói Gioan tống ngục, bởi Gioan đã nói với vua rằng: “Nhà vua không được lấy bà ấy làm vợ”. Vua muốn giết Gioan, nhưng lại sợ dân chúng, vì họ coi Gioan như một tiên tri. Nhân ngày sinh nhật của Hêrôđê, con gái Hêrôđia nhảy múa trước mặt mọi người, và đã làm cho Hêrôđê vui thích. Bởi đấy vua thề hứa sẽ ban cho nó bất cứ điều gì nó xin. Ðược mẹ nó dặn trước, nên nó nói: “Xin vua đặt đầu Gioan Tẩy Giả trên đĩa này cho con”. Vua lo buồn, nhưng vì đã trót thề rồi, và vì các người đang dự tiệc, nên đã truyền làm như vậy. Ông sai người đi chặt đầu Gioan trong ngục, và để đầu Gioan trên đĩa đem trao cho cô gái, và nó đem cho mẹ nó. Các môn đồ của Gioan đến lấy xác thầy và chôn cất, rồi đi báo tin cho Chúa Giêsu.","end":"Ðó là lời Chúa"}},
+        "5181": {"firstReading":{"excerpt":"(Năm II) Gr 28, 1-17","info":"“Hỡi Hanania, Chúa không hề sai anh, anh đã làm cho dân tin tưởng sự giả dối”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Năm ấy, vào đầu triều đại Sêđêcia, vua Giuđa, tháng năm, năm thứ tư, có tiên tri Hanania, con của Azur, quê ở Gabaon, nói với Giêrêmia trong Ðền thờ Chúa, trước mặt các tư tế và toàn dân rằng: “Chúa các đạo binh, Thiên Chúa Israel phán thế này: “Ta đã bỏ ách của vua Babylon. Còn hai năm nữa thì tất cả những đồ dùng trong Ðền thờ Chúa, mà Nabucôđônosor, vua Babylon, đã đoạt đem qua Babylon, Ta sẽ đem về nơi này. Giêcônia, con Gioakim, vua Giuđa, cùng tất cả những người Giuđa bị lưu đày đi Babylon, Ta cũng sẽ đem về nơi này: vì Ta bỏ ách vua Babylon. Chúa phán như thế”.\rBấy giờ tiên tri Giêrêmia trả lời tiên tri Hanania trước mặt các tư tế và toàn dân đang đứng trong Ðền thờ Chúa. Tiên tri Giêrêmia nói: “Ðược, Chúa cứ làm như vậy. Chúa cứ thực hiện những lời anh đã nói tiên tri. Ngài cứ đem các đồ dùng trong Ðền thờ Chúa và mọi người lưu đày từ Babylon về nơi này. Nhưng anh hãy nghe lời tôi nói cho anh và toàn dân nghe: Các tiên tri trước anh và tôi, đã nói tiên tri từ lâu, cho nhiều xứ và vương quốc vĩ đại biết có chiến tranh, cơ cực và đói khát. Nhưng tiên tri nào nói tiên tri cho biết có hoà bình, khi ứng nghiệm lời mình nói, thì mới được nhận là tiên tri thật Chúa sai đến”.\rBấy giờ tiên tri Hanania giật cái ách nơi cổ của tiên tri Giêrêmia mà bẻ đi. Rồi Hanania nói trước mặt toàn dân rằng: “Chúa phán thế này: Hai năm nữa, Ta sẽ bẻ ách của Nabucôđô-nosor, vua Babylon, nơi cổ mọi dân tộc như thế đó”. Và tiên tri Giêrêmia bỏ đi. Nhưng sau khi tiên tri Hanania giật cái ách nơi cổ tiên tri Giêrêmia mà bẻ đi, thì có lời Thiên Chúa phán cùng Giêrêmia rằng: “Hãy đi nói với Hanania rằng: Chúa phán thế này: “Ngươi đã bẻ ách gỗ, thì Ta sẽ lấy ách sắt thay vào”. Vì Chúa các đạo binh, Thiên Chúa Israel phán: “Ta đã đặt ách sắt vào cổ mọi dân tộc này, để chúng làm tôi Nabucô-đônosor, vua Babylon. Chúng sẽ làm tôi vua ấy, và cả đến thú vật ngoài đồng, Ta cũng nạp cho vua ấy”.\rTiên tri Giêrêmia liền nói với tiên tri Hanania rằng: “Hỡi Hanania, hãy nghe đây: Chúa không hề sai anh. Anh đã làm cho dân này tin tưởng sự giả dối. Vì vậy, Chúa phán thế này: ‘Ðây Ta sẽ cất ngươi khỏi mặt đất: năm nay ngươi sẽ chết, vì ngươi đã nói chống lại Chúa’ “. Và tiên tri Hanania đã chết trong tháng bảy năm ấy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 29. 43. 79. 80. 95. 102","response":"Ðáp: Lạy Chúa, xin dạy bảo con những thánh chỉ của Chúa (c. 68b).","verses":["Xướng: Xin đưa con xa cách con đường gian dối, và rộng tay ban luật pháp của Ngài cho con.","Xướng: Xin Chúa đừng rút lời chân lý khỏi miệng con, vì con trông cậy vào sắc dụ của Ngài.","Xướng: Tâm hồn chúng như mỡ đặc, vô cảm giác; phần con biết sướng vui do luật pháp của Ngài.","Xướng: Nguyện cho lòng con trọn vẹn hướng về thánh chỉ, để con không bị xấu hổ thẹn thùng.","Xướng: Những tên ác nhân đợi chờ để thủ tiêu con, nhưng con vẫn quan tâm đến lời Ngài nghiêm huấn.","Xướng: Con không bước trật đường thánh dụ của Ngài, bởi vì chính Ngài dạy bảo con."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Mt 14, 13-21","info":"“Mọi người đều ăn no”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu nghe tin Gioan Tẩy Giả đã chết, thì Người rời bỏ nơi đó xuống thuyền đi đến nơi hoang địa vắng vẻ. Dân chúng nghe biết, thì từ các thành phố đi bộ theo Người. Ra khỏi thuyền, Người thấy dân chúng đông đảo, thì thương xót họ và chữa những người bệnh tật trong họ.\rChiều tới, các môn đệ đến gần thưa Người rằng: “Ðây là nơi hoang địa, mà giờ đã chiều rồi: xin Thầy giải tán dân chúng, để họ vào các làng mạc mà mua thức ăn”.\rNhưng Chúa Giêsu nói với các ông rằng: “Họ chẳng cần phải đi, các con hãy cho họ ăn”. Các ông thưa lại rằng: “Ở đây chúng con chỉ có năm chiếc bánh và hai con cá”. Người bảo các ông rằng: “Hãy đem lại cho Thầy”.\rKhi Người đã truyền cho dân chúng ngồi trên cỏ, Người cầm lấy năm chiếc bánh và hai con cá, ngước mắt lên trời, đọc lời chúc tụng, bẻ ra và trao cho các môn đệ, các ông này phân phát cho dân chúng. Mọi người đều ăn no. Và người ta thu lượm được mười hai thúng đầy những miếng bánh vụn. Số người ăn là năm ngàn người đàn ông, không kể đàn bà và con trẻ.\r(Trong năm A, khi bài Tin Mừng trên được đọc trong lễ Chúa Nhật 18, thì bài Tin Mừng Mt 14, 22-36  sẽ được đọc trong thánh lễ hôm nay).\r“Xin truyền cho con đi trên mặt nước mà đến cùng Thầy”.\rTin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.\rKhi dân chúng đã ăn no, lập tức Chúa Giêsu giục môn đệ trở xuống thuyền mà qua bờ bên kia trước, trong lúc Người giải tán dân chúng. Giải tán họ xong, Người lên núi cầu nguyện một mình. Ðến chiều, Người vẫn ở đó một mình. Còn thuyền thì đã ra giữa biển, bị sóng đánh chập chờn vì ngược gió.\rCanh tư đêm tối, Người đi trên mặt biển mà đến với các ông. Thấy Người đi trên mặt biển, các ông hoảng hồn mà nói rằng: “Ma kìa” và các ông sợ hãi kêu la lớn tiếng. Lập tức, Chúa Giêsu nói với các ông rằng: “Hãy yên tâm. Thầy đây, đừng sợ”. Phêrô thưa lại rằng: “Lạy Thầy, nếu quả là Thầy, thì xin truyền cho con đi trên mặt nước mà đến cùng Thầy”. Chúa phán: “Hãy đến”. Phêrô xuống khỏi thuyền bước đi trên mặt nước mà đến cùng Chúa Giêsu. Khi thấy gió mạnh, ông sợ hãi và sắp chìm xuống nên la lên rằng: “Lạy Thầy, xin cứu con”. Lập tức, Chúa Giêsu giơ tay nắm lấy ông mà nói: “Người hèn tin, tại sao lại nghi ngờ?” Khi cả hai đã lên thuyền thì gió liền yên lặng. Những người ở trong thuyền đến lạy Người mà rằng: “Thật, Thầy là Con Thiên Chúa!”\rKhi đã sang qua biển hồ, các ngài lên bộ và ghé vào Ghênêsarét. Nhận ra Ngài, dân địa phương liền loan tin đi khắp cả vùng xung quanh, và người ta đem đến cho Ngài hết mọi kẻ ốm đau. Họ nài xin Ngài cho họ rờ đến tua áo choàng của Ngài thôi, và ai đã rờ đến thì đều được chữa lành.","end":"Ðó là lời Chúa"}},
+        "5182": {"firstReading":{"excerpt":"(Năm II) Gr 30, 1-2. 12-15. 18-22","info":"“Vì tội lỗi ngươi quá nặng, nên Ta đã làm cho ngươi những sự ấy. Nhưng Ta sẽ đem Giacóp về nhà xếp”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Có lời Chúa phán cùng Giêrêmia rằng: “Chúa là Thiên Chúa Israel phán thế này: Ngươi hãy chép vào sách mọi lời Ta đã phán với ngươi”.\rVì Thiên Chúa phán rằng: “Nơi giập gãy của ngươi đã bất trị, thương tích ngươi làm độc quá đỗi. Không ai đoái thương băng bó cho ngươi: không có thuốc hay chữa ngươi bình phục. Mọi kẻ yêu ngươi đã bỏ quên ngươi, không tìm kiếm ngươi nữa, vì Ta đã đánh ngươi bị thương như kẻ thù sửa phạt ngươi nặng nề, vì sự gian ác của ngươi quá nhiều, tội lỗi của ngươi quá nặng, nên Ta đã làm cho ngươi những sự ấy”.\rChúa phán thế này: “Ðây Ta đem những kẻ trong nhà xếp Giacóp bị bắt trở về gia cư họ, Ta sẽ xót thương. Thành sẽ được xây lại trên nơi cao của nó, đền thờ sẽ được trùng tu theo trật tự của nó. Thế là sẽ vang lên lời ca tụng và tiếng reo mừng. Ta sẽ làm cho nó thêm nhiều, và nó sẽ không bị hạ nhục. Con cái nó sẽ được như xưa; trước mặt Ta, cộng đồng nó sẽ đứng vững. Ta sẽ hỏi thăm mọi người áp bức nó. Thủ lãnh nó sẽ bởi nó mà ra; vua chúa nó sẽ từ trong nó mà lên. Ta sẽ cho nó triều yết và nó sẽ đến gần Ta, vì thật ra có ai dám liều mạng đến gần Ta? – Chúa phán như thế -. Bấy giờ các ngươi sẽ là dân Ta, và Ta sẽ là Thiên Chúa các ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 101, 16-18. 19-21. 29 và 22-23","response":"Ðáp: Chúa tái lập Sion, và xuất hiện trong vinh quang xán lạn (c. 17).","verses":["Xướng: Lạy Chúa, muôn dân sẽ kính tôn danh thánh Chúa, và mọi vua trên địa cầu sẽ quý trọng vinh quang Ngài, khi Chúa sẽ tái lập Sion, Chúa xuất hiện trong vinh quang xán lạn. Chúa sẽ đoái nghe lời nguyện kẻ túng nghèo, và không chê lời họ kêu van. – Ðáp.","Xướng: Những điều này được ghi lại cho thế hệ mai sau, và dân tộc được tác tạo sẽ ca tụng Thiên Chúa. Từ thánh điện cao sang Chúa đã đoái nhìn, từ trời cao Chúa đã nhìn xuống trần thế, để nghe tiếng than khóc của tù nhân, để giải thoát kẻ bị lên án tử. – Ðáp.","Xướng: Con cháu của bầy tôi Chúa sẽ được an cư, và miêu duệ chúng sẽ tồn tại trước thiên nhan, để người ta truyền bá danh Chúa tại Sion, và lời khen ngợi Chúa ở Giêrusalem, khi chư dân cùng nhau quy tụ, và các vua nhóm họp để phụng thờ Chúa. – Ðáp."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia.  (Hoặc đọc: )Alleluia, alleluia! Thưa Thầy, chính Thầy là Con Thiên Chúa, chính Thầy là vua Israel. – Alleluia"},"gospel":{"excerpt":"Mt 14, 22-36","info":"“Xin truyền cho con đi trên mặt nước mà đến cùng Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi dân chúng đã ăn no, lập tức Chúa Giêsu giục môn đệ trở xuống thuyền mà qua bờ bên kia trước, trong lúc Người giải tán dân chúng. Giải tán họ xong, Người lên núi cầu nguyện một mình. Ðến chiều, Người vẫn ở đó một mình. Còn thuyền thì đã ra giữa biển, bị sóng đánh chập chờn vì ngược gió.\rCanh tư đêm tối, Người đi trên mặt biển mà đến với các ông. Thấy Người đi trên mặt biển, các ông hoảng hồn mà nói rằng: “Ma kìa” và các ông sợ hãi kêu la lớn tiếng. Lập tức, Chúa Giêsu nói với các ông rằng: “Hãy yên tâm. Thầy đây, đừng sợ”. Phêrô thưa lại rằng: “Lạy Thầy, nếu quả là Thầy, thì xin truyền cho con đi trên mặt nước mà đến cùng Thầy”. Chúa phán: “Hãy đến”. Phêrô xuống khỏi thuyền bước đi trên mặt nước mà đến cùng Chúa Giêsu. Khi thấy gió mạnh, ông sợ hãi và sắp chìm xuống nên la lên rằng: “Lạy Thầy, xin cứu con”. Lập tức, Chúa Giêsu giơ tay nắm lấy ông mà nói: “Người hèn tin, tại sao lại nghi ngờ?” Khi cả hai đã lên thuyền thì gió liền yên lặng. Những người ở trong thuyền đến lạy Người mà rằng: “Thật, Thầy là Con Thiên Chúa!”\r{Khi đã sang qua biển hồ, các ngài lên bộ và ghé vào Ghênêsarét. Nhận ra Ngài, dân địa phương liền loan tin đi khắp cả vùng xung quanh, và người ta đem đến cho Ngài hết mọi kẻ ốm đau. Họ nài xin Ngài cho họ rờ đến tua áo choàng của Ngài thôi, và ai đã rờ đến thì đều được chữa lành}.","end":"Ðó là lời Chúa"}},
+        "5183": {"firstReading":{"excerpt":"(Năm II) Gr 31, 1-7","info":"“Ta đã yêu ngươi bằng mối tình muôn thuở”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Khi ấy, Chúa phán rằng: “Ta sẽ là Thiên Chúa của mọi chi tộc Israel, và chúng sẽ là dân Ta”.\rChúa phán thế này: “Dân thoát khỏi tay gươm, đã được nghĩa trong rừng vắng: Israel sẽ đi vào nơi an nghỉ của mình. Từ xa Chúa đã hiện ra với ta mà phán rằng: “Ta yêu ngươi bằng mối tình muôn thuở, bởi đó Ta đã xót thương dắt ngươi đến. Rồi Ta lại kiến thiết ngươi, hỡi trinh nữ Israel, ngươi sẽ được tái thiết. Ngươi lại mang những trống cơm, sẽ bước đi với hội hát vui mừng. Ngươi lại trồng nho trên các núi đồi Samaria; kẻ vun trồng cứ vun trồng và sẽ không hái trái nho khi chưa đến mùa. Vì sẽ đến ngày những người canh gác trên núi Ephraim sẽ kêu lên: “Hãy chỗi dậy, chúng ta đi lên Sion, đến cùng Chúa là Thiên Chúa chúng ta”.\rVì Chúa phán thế này: “Hỡi Giacóp, hãy nhảy mừng, hãy hét to vào đầu dân ngoại; hãy nói cho người ta nghe; hãy ca hát và nói lên rằng: ‘Lạy Chúa, xin cứu dân Chúa; những kẻ còn sót lại trong Israel'”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Gr 31, 10. 11-12ab. 13","response":"Ðáp: Chúa sẽ gìn giữ chúng ta như mục tử chăn dắt đoàn chiên mình (c. 10d).","verses":["Xướng: Hỡi các dân tộc, hãy nghe lời Chúa, hãy công bố lời Chúa trên các đảo xa xăm; hãy nói rằng: Ðấng đã phân tán Israel, sẽ quy tụ nó lại, và sẽ gìn giữ nó như mục tử chăn dắt đoàn chiên mình. – Ðáp.","Xướng: Vì Chúa đã giải phóng Giacóp, giờ đây với cánh tay mạnh mẽ hơn, Người cứu thoát nó. Chúng sẽ đến và ca hát trên núi Sion, chúng sẽ đổ xô về phía hạnh phúc của Người. – Ðáp.","Xướng: Bấy giờ người trinh nữ sẽ hân hoan nhảy mừng, các thanh niên và các cụ già cũng làm y như thế. Ta sẽ biến đổi tang chế của chúng ra niềm hân hoan; sẽ an ủi chúng và cho chúng hết đau khổ. – Ðáp."]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 15, 21-28","info":"“Này bà, bà có lòng mạnh tin”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, ra khỏi đó, Chúa Giê-su lui về miền Tyrô và Siđon, thì liền có một bà quê ở Ca-na-an từ xứ ấy đến mà kêu cùng Người rằng: “Lạy Ngài là con Vua Ðavít, xin thương xót tôi: con gái tôi bị quỷ ám khốn cực lắm”.\rNhưng Người không đáp lại một lời nào. Các môn đệ đến gần Người mà rằng: “Xin Thầy thương để bà ấy về đi, vì bà cứ theo chúng ta mà kêu mãi”. Người trả lời: “Thầy chỉ được sai đến cùng chiên lạc nhà Israel”.\rNhưng bà kia đến lạy Người mà nói: “Lạy Ngài, xin cứu giúp tôi”. Người đáp: “Không nên lấy bánh của con cái mà vứt cho chó”. Bà ấy đáp lại: “Vâng, lạy Ngài, vì chó con cũng được ăn những mảnh vụn từ bàn của chủ rơi xuống”.\rBấy giờ, Chúa Giê-su trả lời cùng bà ấy rằng: “Này bà, bà có lòng mạnh tin. Bà muốn sao thì được vậy”. Và ngay lúc đó, con gái bà đã được lành.","end":"Ðó là lời Chúa"}},
+        "5184": {"firstReading":{"excerpt":"(Năm II) Gr 31, 31-34","info":"“Ta sẽ ký kết giao ước mới và Ta sẽ không còn nhớ tội lỗi nữa”.","title":"Trích sách Tiên tri Giêrêmia.","content":"Chúa phán: “Ðây tới ngày Ta ký kết giao ước mới với nhà Israel và nhà Giuđa, giao ước này không giống như giao ước Ta ký kết với tổ phụ chúng trong ngày Ta cầm tay chúng dắt ra khỏi đất Ai-cập, giao ước ấy chính chúng đã phản bội, mặc dầu Ta thống trị chúng”. Chúa phán: “Ðây là giao ước Ta sẽ ký kết với nhà Israel sau những ngày đó. Ta sẽ đặt lề luật của Ta trong đáy lòng chúng, và sẽ ghi trong tâm hồn chúng; Ta sẽ là Chúa của chúng, và chúng sẽ là dân của Ta”. Chúa phán: “Người này sẽ không còn phải dạy người nọ, anh sẽ không còn phải dạy em rằng: ‘Ngươi hãy nhìn biết Chúa’, vì mọi người từ nhỏ chí lớn đều nhìn biết Ta, vì Ta sẽ tha tội ác của chúng, và sẽ không còn nhớ đến tội lỗi của chúng”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 18-19","response":"Ðáp: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch (c. 12a).","verses":["Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin ban lại cho con niềm vui ơn cứu độ, với tinh thần quảng đại, Chúa đỡ nâng con. Con sẽ dạy kẻ bất nhân đường nẻo Chúa, và người tội lỗi sẽ trở về với Ngài.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ; nếu con dâng lễ toàn thiêu, Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát; lạy Chúa, xin đừng chê tấm lòng tan nát, khiêm cung."]},"alleluia":{"verse":"Tv 144, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Anh là Phê-rô nghĩa là Tảng Đá, trên tảng đà này, Thầy sẽ xây Hội Thánh của Thầy, và quyền lực tử thần sẽ không thắng nổi. – Alleluia"},"gospel":{"excerpt":"Mt 16, 13-23","info":"“Con là Ðá, Thầy sẽ ban cho con chìa khoá nước trời”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Mát-thêu.","content":"Khi ấy, Chúa Giê-su đến địa hạt thành Cêsarêa Philipphê, và hỏi các môn đệ rằng: “Người ta bảo Con Người là ai?” Các ông thưa: “Người thì bảo là Gio-an Tẩy Giả, kẻ thì bảo là Ê-li-a, kẻ khác lại bảo là Giê-rê-mi-a hay một tiên tri nào đó”. Chúa Giêsu nói với các ông: “Phần các con, các con bảo Thầy là ai?” Si-mon Phê-rô thưa rằng: “Thầy là Ðức Ki-tô, Con Thiên Chúa hằng sống”. Chúa Giê-su trả lời rằng: “Hỡi Si-mon con ông Giô-na, con có phúc, vì chẳng phải xác thịt hay máu huyết mạc khải cho con, nhưng là Cha Thầy, Ðấng ngự trên trời. Vậy Thầy bảo cho con biết: Con là Ðá, trên đá này Thầy sẽ xây Hội Thánh của Thầy, và cửa địa ngục sẽ không thắng được. Thầy sẽ trao cho con chìa khoá Nước trời. Sự gì con cầm buộc dưới đất, trên trời cũng cầm buộc; và sự gì con cởi mở dưới đất, trên trời cũng cởi mở”. Bấy giờ Người truyền cho các môn đệ đừng nói với ai rằng Người là Ðức Ki-tô.\rKể từ đó, Chúa Giê-su bắt đầu tỏ cho các môn đệ thấy: Người sẽ phải đi Giê-ru-sa-lem, phải chịu nhiều đau khổ bởi các kỳ lão, luật sĩ và thượng tế, phải bị giết, và ngày thứ ba thì sống lại. Phê-rô kéo Người lại mà can gián Người rằng: “Lạy Thầy, xin Chúa giúp Thầy khỏi điều đó. Thầy chẳng phải như vậy đâu”. Nhưng Người quay lại bảo Phê-rô rằng: “Hỡi Sa-tan, hãy lui ra đàng sau Thầy: con làm cho Thầy vấp phạm, vì con chẳng hiểu biết những sự thuộc về Thiên Chúa, mà chỉ hiểu biết những sự thuộc về loài người”.","end":"Ðó là lời Chúa"}},
+        "5185": {"firstReading":{"excerpt":"(Năm II) Nk 1, 15; 2, 2; 3, 1-3. 6-7","info":"“Khốn cho thành khát máu”.","title":"Trích sách Tiên tri Nakhum.","content":"Kìa xem, trên núi có người đưa tin mừng chạy đến. Hỡi Giuđa, hãy mừng các ngày lễ trọng của ngươi, hãy thi hành lời ngươi khấn nguyện. Vì Bêlial từ nay sẽ không còn đi qua đất ngươi: nó đã bị hoàn toàn tận diệt.\rVì Chúa sẽ trồng lại cây nho Giacóp, cũng như cây nho Israel, bởi quân phá phách đã tàn phá chúng và đã bẻ cành chúng.\rKhốn cho thành khát máu, tràn đầy gian dối, hung bạo, người ta không ngừng cướp phá ngươi. Hãy nghe tiếng roi quất, tiếng bánh xe lăn, ngựa hí, xe phóng nhanh, quân kỵ binh xông đến, gươm lấp lánh, giáo sáng ngời, nhiều người bị giết, tàn phá nặng nề, xác chết vô vàn, ngã quỵ trên nhau.\rTa sẽ vứt đồ ô uế trên mình ngươi, làm nhục ngươi, bêu xấu ngươi. Lúc bấy giờ, hễ ai thấy ngươi cũng ngoảnh mặt mà nói: “Ninivê thật tiêu điều! Ai thương được ngươi? Tìm đâu ra người an ủi ngươi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðnl 32, 35cd-36ab. 39. 41","response":"Ðáp: Ta sẽ giết chết và sẽ làm cho sống lại (c. 39c).","verses":["Xướng: Ngày huỷ diệt đã gần rồi, và kỳ hẹn lại chóng đến. Chúa sẽ phán xét dân Người, và xót thương kẻ làm tôi Chúa.","Xướng: Các ngươi hãy xem có một mình Ta, và ngoài Ta, không có Chúa nào khác: Ta sẽ giết chết và sẽ làm cho sống lại; Ta sẽ đánh đập và sẽ chữa lành.","Xướng: Nếu Ta mài sáng gươm Ta như chớp, và nắm giữ phán quyết trong tay Ta, Ta sẽ trả oán những kẻ thù nghịch, sẽ trả thù những kẻ ghen ghét Ta."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia.  (Hoặc đọc: ) Alleluia, alleluia! Phúc thay ai bị bách hại vì sống công chính, vị Nước Trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mt 16, 24-28","info":"“Người ta sẽ lấy gì mà đổi được sự sống mình“.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu ai muốn theo Thầy, thì hãy từ bỏ mình đi, và vác thập giá mình mà theo Thầy. Vì chưng, ai muốn cứu mạng sống mình thì sẽ mất; còn ai đành mất mạng sống mình vì Ta, thì sẽ được sự sống. Nếu ai được lợi cả thế gian mà thiệt hại sự sống mình, thì được ích gì? Hoặc người ta sẽ lấy gì mà đổi được sự sống mình?\r“Bởi vì Con Người sẽ đến trong vinh quang của Cha Người, cùng với các thiên thần của Người, và bấy giờ, Người sẽ trả công cho mỗi người tuỳ theo việc họ làm. Thật, Thầy bảo các con: trong những kẻ đang đứng đây, có người sẽ không nếm sự chết trước khi xem thấy Con Người đến trong Nước Người”.","end":"Ðó là lời Chúa"}},
+        "5186": {"firstReading":{"excerpt":"(Năm II) Kb 1, 12 – 2, 4","info":"“Người công chính sống được nhờ trung tín”.","title":"Trích sách Tiên tri Khabacúc.","content":"Chớ thì ngàn xưa Chúa chẳng phải là Thiên Chúa, Chúa của tôi, là Ðấng Thánh của tôi? Vậy là chúng tôi không sao chết được. Lạy Chúa, Chúa đã đặt nó lên để xét xử, làm cho nó vững mạnh để trừng phạt. Mắt Chúa tinh sạch, không thể nhìn sự dữ, không thể xem sự gian ác. Tại sao Chúa lại nhìn những kẻ gian ác, và kẻ bất lương nuốt người công chính hơn nó, sao Chúa vẫn làm thinh?\rChúa để loài người như cá biển, như sâu bọ không có vua quan. Nó lấy lưỡi câu mà bắt hết, lấy chài mà kéo mọi sự, lấy lưới mà thu lượm: bởi thế nó hớn hở vui mừng. Vì vậy, nó cúng tế cho chài, nó dâng lễ vật cho lưới, vì bởi đấy nó được phần béo tốt và món ăn ngon. Lẽ nào nó cứ thả lưới không ngừng và luôn luôn tàn nhẫn sát hại các dân?\rTôi sẽ đứng ở vọng canh của tôi, đứng yên nơi thành lũy của tôi, tôi chờ xem Chúa dạy tôi thế nào, và trả lời ra sao cho điều tôi biện bạch? Chúa đáp lại tôi rằng: “Hãy chép điều ngươi thấy, hãy khắc nó vào tấm bảng để đọc được dễ dàng. Bởi hình lạ còn xa, nó sẽ xuất hiện trong thời sau hết và sẽ chẳng hư không. Nó kết duyên với ngươi, hãy chờ đợi nó, vì nó sẽ đến không trì hoãn. Chắc chắn nó sẽ đến, không sai. Người không có lòng ngay thì ngã gục, nhưng người công chính sẽ sống nhờ trung tín”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 9, 8-9. 10-11. 12-13","response":"Ðáp: Lạy Chúa, Chúa không bỏ rơi kẻ kiếm tìm Chúa (c. 11b).","verses":["Xướng: Chúa ngự trị tới muôn đời, Người dựng vững ngai vàng ngõ hầu cai trị. Người công minh thống trị địa cầu, Người chính trực xét xử chư dân.","Xướng: Chúa là chỗ dung thân cho người bị ức, chỗ dung thân dành cho những lúc gian truân, để những ai nhìn biết uy danh, cậy trông vào Chúa, vì lạy Chúa, Chúa không bỏ rơi kẻ kiếm tìm Ngài.","Xướng: Hãy đàn ca Chúa, Người ngự ở Sion; hãy loan truyền công cuộc Chúa khắp chư dân: vì Ðấng đòi nợ máu, Người nhớ họ, Người không quên tiếng kêu của những kẻ cơ bần."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 17, 14-19","info":"“Nếu các con có lòng tin, thì chẳng có gì các con không làm được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có một người đến gần, quỳ gối trước mặt Chúa Giêsu mà nói rằng: “Lạy Ngài, xin thương xót con trai tôi vì nó mắc chứng kinh phong và rất trầm trọng: nó thường ngã vào lửa và lắm lúc nó ngã xuống nước. Tôi đã đem nó đến cùng môn đệ Ngài, nhưng các ông không thể chữa nó được”. Chúa Giêsu đáp: “Ôi thế hệ cứng lòng tin và hư hỏng! Ta phải ở với các ngươi đến bao giờ? Ta còn phải chịu đựng các ngươi đến bao giờ nữa? Hãy đem nó lại đây cho Ta”. Chúa Giêsu quát mắng quỷ và quỷ liền ra khỏi đứa bé. Và nó được lành ngay trong lúc ấy. Bấy giờ các môn đệ đến hỏi riêng Chúa Giêsu rằng: “Tại sao chúng con không thể trừ quỷ ấy được?” Chúa Giêsu bảo các ông rằng: “Vì các con yếu lòng tin! Thầy bảo thật các con: Nếu các con có lòng tin lớn bằng hạt cải, thì các con có khiến núi này rằng: ‘Hãy rời khỏi đây mà sang nơi kia’, thì nó liền đi sang, và chẳng có gì các con không làm được”.","end":"Ðó là lời Chúa"}}
+    }
+});
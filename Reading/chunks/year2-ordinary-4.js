@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year2-ordinary-4", {
+    "ORDINARY_Y2": {
+        "5191": {"firstReading":{"excerpt":"(Năm II) Ed 1, 2-5. 24 – 2, 1a (Hebr 1, 2-5. 24-28c)","info":"“Ðây là hình lạ trông giống vinh quang của Chúa”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Ngày mồng năm trong tháng, năm thứ năm vua Gioakim bị lưu đày, có lời Chúa phán cùng tư tế Êdêkiel, con của Buzi, ở xứ Calđêa, trên bờ sông Côbar. Chính tại đây, bàn tay Thiên Chúa đã đặt trên tôi.\rTôi nhìn thấy có một cơn gió mạnh từ phương bắc thổi đến. Có một đám mây to lớn và lửa bao bọc chung quanh và bốn bề có ánh sáng phát ra, và ở giữa bầu lửa như vàng pha sáng chói. Chính giữa, có giống gì như bốn con vật hình dáng giống như hình người.\rVà tôi nghe tiếng cánh của chúng như tiếng nước lũ, như tiếng của Chúa vạn năng; khi chúng đi thì khác nào như đám đông người, như tiếng đạo quân: khi chúng dừng lại thì chúng xếp cánh xuống. Vì khi chúng nghe có tiếng trên không trung, trên đầu chúng, thì chúng dừng lại và xếp cánh xuống.\rVà trên không trung, trên đỉnh đầu chúng, có cái gì như một viên ngọc thạch, hình như chiếc ngai, và trên ngai đó, phía trên hẳn, có hình giống như hình người. Và tôi thấy người như vàng pha sáng chói, bên trong, tứ bề khác nào như lửa, từ lưng người trở lên, và từ lưng trở xuống, tôi thấy có gì như lửa chiếu sáng chung quanh, giống như cái mống hiện ra trên mây trong ngày mưa: đó là hình thể chiếu sáng chung quanh. Ðây là hình lạ trông giống vinh quang của Chúa. Tôi nhìn thấy thì sấp mặt xuống đất.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 148, 1-2. 11-12ab. 12c-14a. 14bcd","response":"Ðáp: Trời đất đầy vinh quang của Người.","verses":["Hoặc đáp: Alleluia.","Xướng: Hãy ca tụng Chúa từ muôn cõi trời, hãy ca tụng Người trên nơi cao thẳm. Các thiên thần Chúa, hãy ca tụng Người đi; ca tụng Người đi, hỡi các đạo thiên binh.","Xướng: Quân vương địa cầu và tất cả chư dân, quan chức và các vị chính quyền nơi cõi đất, các thanh nhiên và cả những cô trinh nữ, những ông cụ già với đoàn con trẻ.","Xướng: Họ hãy ca tụng danh Chúa, vì danh Người siêu phàm, độc nhất, oai nghiêm Người tràn lan trên trời dưới đất, và Người nâng cao quyền thế dân Người."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Mt 17, 21-26","info":"“Họ sẽ giết Người, nhưng Người sẽ sống lại. Con cái thì được miễn thuế”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, các môn đệ và Chúa Giêsu còn đang ở Galilêa, thì Chúa Giêsu bảo các ông rằng: “Con Người sắp bị nộp vào tay người đời, họ sẽ giết người, nhưng ngày thứ ba, Người sẽ sống lại”. Các môn đệ rất đỗi buồn phiền.\rKhi các ngài đến Capharnaum, thì những người thu thế đền thờ đến gặp Phêrô và hỏi rằng: “Thầy các ông không nộp thuế “đền thờ’ sao?” Ông nói: “Có chớ”.\rKhi ông về đến nhà, Chúa Giêsu hỏi đón trước rằng: “Simon, con nghĩ sao? Vua chúa trần gian thu thuế má hạng người nào? Ðòi con cái mình hay người ngoài?” Ông thưa rằng: “Ðòi người ngoài”. Chúa Giêsu bảo ông rằng: “Vậy thì con cái được miễn. Nhưng để chúng ta không làm cho họ vấp phạm, con hãy ra biển thả câu: con cá nào câu lên trước hết thì bắt lấy, mở miệng nó ra, sẽ thấy một đồng tiền, con hãy lấy tiền đó mà nộp cho họ, trả phần Thầy và phần con”.","end":"Ðó là lời Chúa"}},
+        "5192": {"firstReading":{"excerpt":"(Năm II) Ed 2, 8 – 3, 4","info":"“Người ban cho tôi cuốn sách ấy làm lương thực: nó trở nên ngọt ngào như mật trong miệng tôi”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Chúa phán như thế này: “Phần ngươi, hỡi con người, hãy nghe các lời Ta sẽ phán cùng ngươi; ngươi chớ phản nghịch như loài phản nghịch kia. Hãy mở miệng mà ăn những sự Ta sẽ ban cho ngươi”. Tôi nhìn, thì có một bàn tay đưa về phía tôi, trong tay có cuốn sách cuộn lại. Người mở cuốn sách ra trước mặt tôi: sách viết cả mặt trong, mặt ngoài. Trong sách viết những lời than van, rên rỉ và kêu trách.\rNgười phán cùng tôi rằng: “Hỡi con người, ngươi hãy ăn sự ngươi tìm được. Hãy ăn cuốn sách này và đi nói với con cái Israel”. Tôi mở miệng và Người cho tôi ăn cuốn sách ấy và bảo tôi rằng: “Hỡi con người, hãy lấy cuốn sách Ta ban cho ngươi làm lương thực mà ăn cho no”. Tôi ăn và nó trở nên ngọt ngào như mật trong miệng tôi. Và Người phán cùng tôi rằng: “Hỡi con người, hãy đi đến nhà Israel và nói cho chúng nghe những lời của Ta”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 14. 24. 72. 103. 111. 131","response":"Ðáp: Các lời sấm của Chúa ngọt ngào trong cổ họng con là dường nào (c. 103a).","verses":["Xướng: Con vui vì đường lối lời Ngài nghiêm huấn, dường bằng được mọi thứ giàu sang.","Xướng: Vì lời nghiêm huấn của Ngài là điều con ưa thích, các thánh chỉ của Ngài là những bậc cố vấn của con.","Xướng: Ðối với con, luật pháp do miệng Chúa đáng chuộng hơn vàng bạc châu báu muôn ngàn.","Xướng: Các lời sấm của Ngài ngon ngọt thay cho cổ họng con, ngọt hơn cả mật ong đổ miệng con.","Xướng: Lời Ngài nghiêm huấn là sản nghiệp của con muôn đời: vì những điều đó khiến cho lòng con hoan hỉ.","Xướng: Con há miệng để hút nguồn sinh khí, vì con ham muốn những chỉ thị của Ngài. –"]},"alleluia":{"verse":"1 Sm 3, 9","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe: Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Mt 18, 1-5. 10. 12-14","info":"“Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy các môn đệ đến bên Chúa Giêsu mà hỏi: “Chớ thì ai là kẻ lớn nhất trong Nước Trời?” Chúa Giêsu gọi một trẻ nhỏ lại, đặt nó giữa các ông mà phán rằng: “Thật, Thầy bảo thật các con: nếu các con không hoá nên như trẻ nhỏ, các con sẽ không được vào Nước Trời. Vậy ai hạ mình xuống như trẻ nhỏ này, người ấy là kẻ lớn nhất trong Nước Trời.\r“Và kẻ nào đón nhận một trẻ nhỏ như thế này vì danh Thầy, tức là đón nhận Thầy. Các con hãy coi chừng, đừng khinh rẻ một ai trong những kẻ bé mọn này, vì Thầy bảo các con, thiên thần của chúng trên trời hằng chiêm ngưỡng thánh nhan Cha Ta, Ðấng ngự trên trời.\r“Các con nghĩ sao? Nếu ai có một trăm con chiên mà lạc mất một con, thì người đó lại không bỏ chín mươi chín con trên núi, để đi tìm con chiên lạc sao? Nếu người đó tìm được, Thầy bảo thật các con, người đó sẽ vui mừng vì con chiên đó, hơn chín mươi chín con chiên không thất lạc. Cũng vậy, Cha các con trên trời không muốn để một trong những kẻ bé mọn này phải hư mất”.","end":"Ðó là lời Chúa"}},
+        "5193": {"firstReading":{"excerpt":"(Năm II) Ed 9, 1-7; 10, 18-22","info":"“Hãy ghi chữ Thập trên trán những người rên rỉ khóc than các việc ghê tởm của thành Giêrusalem”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Chúa kêu lớn tiếng vào tai tôi rằng: “Những kẻ trừng phạt thành đã đến gần, mỗi người cầm trong tay khí cụ của mình để tàn sát”. Và kìa có sáu người tiến lại, từ cửa trên phía bắc mà đến, mỗi người cầm trong tay khí cụ của mình để tàn sát. Giữa họ có một người mặc áo trắng, ngang lưng mang bút của ký lục. Họ tiến vào và dừng lại trước bàn thờ bằng đồng.\rVinh quang của Chúa Israel ngự trên các vệ binh thần liền từ đó mà cất lên, đi về phía ngưỡng cửa Ðền Thờ. Người gọi kẻ mặc áo trắng, ngang lưng có mang bút của ký lục mà nói: “Hãy đi khắp thành, khắp Giêrusalem và ghi chữ Thập trên trán những người rên rỉ khóc than tất cả những việc ghê tởm người ta phạm giữa thành”.\rTôi còn nghe Người bảo những người kia rằng: “Hãy theo người này đi khắp thành và đánh phạt. Ðừng đưa mắt xót thương, đừng tha thứ: già lão, trai tráng, gái trinh, trẻ con, phụ nữ, hãy giết cho hết. Nhưng ai có chữ Thập trên trán thì đừng giết. Hãy bắt đầu từ nơi thánh của Ta”. Thế là họ bắt đầu giết những kỳ lão đang đứng trước Ðền Thờ. Người lại bảo rằng: “Hãy làm ô uế Ðền Thờ, hãy làm cho các hành lang đầy tử thi rồi hãy ra đi”. Họ bỏ ra đi đánh phạt những kẻ ở trong thành.\rVinh quang của Chúa từ trên ngưỡng cửa Ðền Thờ mà đi ra và dừng lại trên các vệ binh thần. Các vệ binh thần cất cánh và từ đất bay lên, ngay trước mặt tôi; các bánh xe cũng đi theo chúng. Chúng dừng lại nơi cửa Ðông Ðền thờ Chúa, và vinh quang của Thiên Chúa Israel ở phía trên chúng. Ðó là sinh vật tôi đã thấy ở dưới Thiên Chúa Israel gần sông Côbar, (bây giờ) tôi mới hiểu biết đó là các vệ binh thần. Mỗi sinh vật có bốn mặt, bốn cánh và dưới cánh, có những hình bàn tay như tay người. Mặt chúng giống những mặt tôi đã thấy gần sông Côbar. Mỗi sinh vật cứ đi thẳng tới đàng trước.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5-6","response":"Ðáp: Trên muôn cõi trời, là vinh quang của Chúa (c. 4b).","verses":["Hoặc đọc: Alleluia.","Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa. Nguyện danh Chúa được chúc tụng từ bây giờ và cho đến muôn đời.","Xướng: Từ mặt trời mọc lên tới khi lặn xuống, nguyện cho danh Chúa được ngợi khen. Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời là vinh quang của Chúa.","Xướng: Ai được như Thiên Chúa chúng tôi, Người ngự trên nơi cao thẳm, và Người để mắt nhìn coi, khắp cả trên trời dưới đất?"]},"alleluia":{"verse":"Gc 1, 21","content":"alleluia! – Anh em hãy khiêm nhu nhận lãnh lời giao ước trong lòng, lời đó có thể cứu thoát linh hồn anh em. – Alleluia."},"gospel":{"excerpt":"Mt 18, 15-20","info":"“Nếu nó nghe ngươi, thì ngươi đã lợi được người anh em”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu anh em con lỗi phạm, hãy đi sửa dạy nó, riêng con và nó thôi. Nếu nó nghe con, thì con đã lợi được người anh em. Nếu nó không nghe lời con, hãy đem theo một hoặc hai người nữa, để mọi việc được giải quyết nhờ lời hai hoặc ba nhân chứng. Nếu nó không nghe họ, hãy trình với cộng đoàn. Và nếu nó cũng không nghe cộng đoàn, con hãy kể nó như người ngoại giáo và như người thu thuế.\r“Thầy bảo thật các con, những gì các con cầm buộc dưới đất thì trên trời cũng cầm buộc, và những gì các con tháo gỡ dưới đất thì trên trời cũng tháo gỡ.\r“Thầy cũng bảo thật các con, nếu hai người trong các con, ở dưới đất, mà hiệp lời cầu xin bất cứ điều gì, thì Cha Thầy, Ðấng ngự trên trời, sẽ ban cho họ điều đó. Vì ở đâu có hai hoặc ba người tụ họp nhân danh Thầy, thì Thầy ở giữa những người ấy”.","end":"Ðó là lời Chúa"}},
+        "5194": {"firstReading":{"excerpt":"(Năm II) Ed 12, 1-12","info":"“Ngươi sẽ di cư giữa ban ngày trước mặt chúng”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Có lời Chúa phán cùng tôi rằng: “Hỡi con người, ngươi đang ở giữa dòng giống phản loạn, chúng có mắt để thấy mà không thấy, có tai để nghe mà không nghe, vì đó là dòng giống phản loạn. Phần ngươi, hỡi con người, hãy sửa soạn hành trang và hãy dời đi, giữa ban ngày, trước mặt chúng. Ngươi sẽ đi từ nơi đang ở đến một nơi khác, trước mặt chúng, để hoạ may chúng xem thấy, vì chúng là dòng giống phản loạn. Ngươi sẽ phô trương hành lý của ngươi như hành lý của người di cư giữa ban ngày trước mặt chúng, rồi ban chiều, ngươi sẽ ra đi trước mặt chúng như người di cư. Trước mắt chúng, ngươi hãy khoét tường mà chui ra. Trước mắt chúng, ngươi sẽ mang hành trang trên vai và đi ra trong bóng tối, Ngươi sẽ che mặt ngươi để đừng thấy xứ sở, vì Ta đã làm cho ngươi thành biểu hiệu cho nhà Israel”.\rVậy tôi đã thi hành như Chúa đã truyền cho tôi, tôi phô trương hành trang của tôi như hành trang của kẻ di cư, giữa ban ngày, và ban chiều, tôi lấy tay khoét một cái lỗ trong tường, vai mang hành trang, và ra đi trước mặt chúng trong đêm tối.\rVà ban sáng có lời Chúa phán cùng tôi rằng: “Hỡi con người, nào nhà Israel, dòng giống phản loạn, đã chẳng hỏi ngươi rằng: ‘Ông làm gì vậy?’ Hãy bảo chúng: ‘Chúa là Thiên Chúa phán rằng: Sấm ngôn này chỉ về thủ lãnh ở Giêrusalem và cả nhà Israel ở đó’. Hãy nói: ‘Tôi là biểu hiệu cho các ngươi. Tôi đã làm thế nào thì việc sẽ xảy ra như vậy’. Chúng sẽ phải di cư và đi làm tôi. Và ai là thủ lãnh các chúng, người đó sẽ mang hành trang trên vai ra đi trong bóng tối, và chúng sẽ khoét tường mà đem ông ra. Mặt ông bị che kín để mắt khỏi thấy xứ sở”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 77, 56-57. 58-59. 61-62","response":"Ðáp: Các ngươi đừng quên lãng những kỳ công của Chúa (c. 7c).","verses":["Xướng: Họ đã thử thách và phản nghịch Thiên Chúa Tối Cao, và họ không tuân giữ các huấn lệnh của Người. Họ lùi bước và bội tín cũng như tổ tiên họ, họ lầm lạc như cánh cung trật đường giây.","Xướng: Họ chọc giận Người vì những nơi “thờ tự” trên cao, họ khiêu khích lòng ghen Người vì bao thần tượng. Thiên Chúa nghe biết và bừng cơn thịnh nộ, Người đã từ bỏ Israel một cách đắng cay.","Xướng: Người trao nạp sức mạnh mình cho thiên hạ bắt bớ, và vinh quang mình trong tay kẻ nghịch thù. Người bỏ mặc dân tộc Người cho cảnh gươm đao, và Người đã xung giận phần gia nghiệp của Người."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi giới răn Chúa được lập ra cho tới muôn ngàn đời. – Alleluia."},"gospel":{"excerpt":"Mt 18, 21 – 19, 1","info":"“Thầy không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Phêrô đến thưa cùng Chúa Giêsu rằng: “Lạy Thầy, khi anh em xúc phạm đến con, con phải tha thứ cho họ mấy lần? Có phải đến bảy lần không?” Chúa Giêsu đáp: “Thầy không bảo con phải tha đến bảy lần, nhưng đến bảy mươi lần bảy.\r“Về vấn đề này, thì Nước Trời cũng giống như ông vua kia muốn tính sổ với các đầy tớ. Trước hết người ta dẫn đến vua một người mắc nợ mười ngàn nén bạc. Người này không có gì trả, nên chủ ra lệnh bán y, vợ con và tất cả tài sản của y để trả hết nợ. Người đầy tớ liền sấp mình dưới chân chủ và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn, và tôi sẽ trả lại cho ngài tất cả”. Người chủ động lòng thương, trả tự do và tha nợ cho y.\r“Khi ra về, tên đầy tớ gặp một người bạn mắc nợ y một trăm bạc: Y tóm lấy, bóp cổ mà nói rằng: “Hãy trả nợ cho ta”. Bấy giờ người bạn sấp mình dưới chân và van lơn rằng: “Xin vui lòng cho tôi khất một kỳ hạn, tôi sẽ trả hết nợ cho anh”. Y không nghe, bắt người bạn tống giam vào ngục, cho đến khi trả nợ xong. Các bạn y chứng kiến cảnh tượng đó, rất khổ tâm, họ liền đi thuật với chủ tất cả câu truyện. Bấy giờ chủ đòi y đến và bảo rằng: “Tên đầy tớ ác độc kia, ta đã tha hết nợ cho ngươi, vì ngươi đã van xin ta; còn ngươi, sao ngươi không chịu thương bạn ngươi như ta đã thương ngươi?” Chủ nổi giận, trao y cho lý hình hành hạ, cho đến khi trả hết nợ.\r“Vậy, Cha Thầy trên trời cũng xử với các con đúng như thế, nếu mỗi người trong các con không hết lòng tha thứ cho anh em mình”.\rKhi Chúa Giêsu nói những lời đó xong, thì Người bỏ xứ Galilêa mà đến Giuđêa, bên kia sông Giođan.","end":"Ðó là lời Chúa"}},
+        "5195": {"firstReading":{"excerpt":"(Năm II) Ed 16, 1-15. 60. 63","info":"“Ngươi tuyệt hảo nhờ sự huy hoàng Ta đã mặc cho ngươi, thế mà ngươi đã mãi dâm truỵ lạc”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Có lời Chúa phán cùng tôi rằng: “Hỡi con người, hãy cho Giêrusalem biết tội ác ghê tởm của nó. Hãy nói: Chúa là Thiên Chúa phán cùng Giêrusalem rằng: Nguồn gốc và sinh quán của ngươi là xứ Canaan. Cha ngươi là người Amorê: mẹ ngươi là người Xêthêa. Khi ngươi sinh ra, ngày ngươi chào đời, người ta không cắt rốn, không rửa ngươi trong nước cho sạch sẽ, không xát muối và bọc khăn cho ngươi. Không ai đem lòng thương xót nhìn ngươi để làm cho ngươi một công việc nào như thế. Ngày ngươi sinh ra, vì ghê tởm ngươi, người ta đã bỏ ngươi ngoài đồng.\rTa đi qua gần ngươi và thấy ngươi dẫy dụa trong máu. Ta đã nói cùng ngươi rằng: ‘Hãy sống trong máu và lớn lên như cỏ ngoài đồng’. Ngươi đã nảy nở, lớn lên và đến tuổi dậy thì. Ngực ngươi nở nang, tóc ngươi rậm dài, nhưng ngươi vẫn khoả thân. Bấy giờ Ta đi qua gần ngươi và thấy ngươi. Lúc đó ngươi đã đến tuổi yêu đương. Ta lấy vạt áo trải trên mình ngươi mà che sự khoả thân của ngươi. Ta thề và kết ước với ngươi – lời Chúa phán – và ngươi đã thuộc về Ta. Ta đã tắm ngươi trong nước, rửa máu trên mình ngươi và xức dầu cho ngươi. Ta đã mặc cho ngươi áo màu sặc sỡ và xỏ giày da tốt cho ngươi, thắt lưng ngươi bằng dây gai mịn và choàng cho ngươi áo tơ lụa. Ta đã lấy đồ quý mà trang điểm cho ngươi. Ta đã đeo xuyến vào tay ngươi, đeo kiềng vào cổ ngươi. Ta đã xỏ khoen vào mũi ngươi, đeo hoa tai vào tai ngươi và đặt triều thiên rực rỡ trên đầu ngươi. Ngươi đã được trang điểm bằng vàng bạc, mặc áo bằng vải mịn, tơ lụa và hàng thêu. Ngươi ăn bột miến lọc, mật ong và dầu ôliu. Càng ngày ngươi càng xinh đẹp và tiến lên ngôi nữ hoàng. Ngươi đã lừng danh giữa các dân tộc nhờ sắc đẹp của ngươi vì ngươi thật là tuyệt hảo nhờ sự huy hoàng Ta đã mặc cho ngươi. Chúa là Thiên Chúa phán, nhưng ngươi đã cậy sắc đẹp và lợi dụng danh tiếng của ngươi, để mãi dâm trụy lạc. Ngươi hiến thân cho bất cứ ai qua đường. Nhưng phần Ta, Ta sẽ nhớ lại giao ước Ta đã lập với ngươi khi ngươi còn xuân xanh. Ta sẽ lập với ngươi một giao ước vĩnh cửu. Như thế, để ngươi phải nhớ lại mà xấu hổ, và vì xấu hổ, ngươi sẽ không còn mở miệng ra nữa, khi Ta tha thứ hết mọi việc ngươi đã làm. Chúa là Thiên Chúa phán”.\r( Hoặc bài vắn này: Ed 16, 59-63) \rTrích sách Tiên tri Êdêkiel.\rChúa là Thiên Chúa đã phán thế này: “Ta sẽ đối xử với ngươi như ngươi đã đối xử với Ta, ngươi đã khinh rẻ lời thề mà huỷ bỏ giao ước. Nhưng phần Ta, Ta sẽ nhớ lại giao ước Ta đã lập với ngươi khi ngươi còn xuân xanh. Ta sẽ lập với ngươi một giao ước vĩnh cửu. Và ngươi sẽ ghi nhớ các đường lối của ngươi mà cảm thấy nhục khi Ta lấy các chị các em gái ngươi mà ban cho ngươi làm con, mặc dầu chúng không có chân trong giao ước của ngươi. Ta sẽ giữ vững giao ước của Ta với ngươi, và ngươi sẽ biết rằng Ta là Chúa, và như thế, để ngươi phải nhớ lại mà xấu hổ, và vì xấu hổ, ngươi sẽ không còn mở miệng ra nữa, khi Ta tha thứ hết mọi việc ngươi đã làm. Chúa là Thiên Chúa phán”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Is 12, 2-3. 4bcd. 5-6","response":"Ðáp: Chúa đã bỏ cơn giận của Chúa và đã an ủi tôi (c. 1c).","verses":["Xướng: Ðây Thiên Chúa là Ðấng Cứu Chuộc tôi, tôi sẽ tin tưởng mà hành động và không khiếp sợ: vì Chúa là sức mạnh, là Ðấng tôi ngợi khen, Người sẽ trở nên cho tôi phần rỗi. – Ðáp.","Xướng: Hãy ca tụng Chúa và kêu cầu danh Người; hãy công bố cho các dân biết kỳ công của Chúa; hãy nhớ lại danh Chúa rất cao sang. – Ðáp.","Xướng: Hãy ca tụng, vì Người làm nên những việc kỳ diệu; hãy cao rao việc đó trên khắp hoàn cầu. Hỡi người cư ngụ tại Sion, hãy nhảy mừng ca hát, vì Ðấng cao cả là Ðấng Thánh Israel ở giữa ngươi. – Ðáp."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật, tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia."},"gospel":{"excerpt":"Mt 19, 3-12","info":"“Vì lòng chai đá của các ngươi mà Môsê đã cho phép các ngươi rẫy vợ; nhưng từ ban đầu thì không có như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có những người biệt phái đến cùng Chúa Giêsu và hỏi thử Người rằng: “Có được phép rẫy vợ vì bất cứ lẽ gì không?” Người đáp: “Nào các ông đã chẳng đọc thấy rằng: Từ thuở ban đầu, Tạo Hoá đã dựng loài người có nam có nữ, và Người đã phán: Bởi thế nên người nam sẽ bỏ cha mẹ mà kết hợp với vợ mình, và cả hai sẽ nên một thân xác? Cho nên họ không còn là hai, nhưng là một thân xác. Vậy điều gì Thiên Chúa đã kết hợp, thì loài người không được phân ly”. Họ hỏi lại: “Vậy tại sao Môsê đã truyền cấp tờ ly hôn mà cho rẫy vợ?” Người đáp: “Vì lòng chai đá của các ông mà Môsê đã cho phép các ông rẫy vợ; nhưng từ ban đầu thì không có như vậy. Tôi bảo các ông rằng: Ai rẫy vợ, trừ nố gian dâm, và đi cưới vợ khác, thì phạm tội ngoại tình. Và ai cưới người đã bị rẫy, cũng phạm tội ngoại tình”.\rCác môn đệ thưa Người rằng: “Nếu sự thể việc vợ chồng là như thế, thì tốt hơn đừng cưới vợ”. Người đáp: “Không phải mọi người hiểu được điều ấy, nhưng chỉ những ai được ban cho hiểu mà thôi. Vì có những hoạn nhân từ lòng mẹ sinh ra, có những hoạn nhân do người ta làm nên, và có những người vì Nước Trời, tự trở thành hoạn nhân. Ai có thể hiểu được thì hiểu”.","end":"Ðó là lời Chúa"}},
+        "5196": {"firstReading":{"excerpt":"(Năm II) Ed 18, 1-10. 13b. 30. 32","info":"“Ta sẽ xét xử mỗi người theo cách nó sống”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Có lời Chúa phán cùng tôi rằng: Tại sao giữa các ngươi trong Israel có câu tục ngữ rằng: “Cha ông ăn nho chua thì con cháu ghê răng”?\rChúa là Thiên Chúa phán, Ta lấy sự sống Ta mà thề không lặp lại câu tục ngữ ấy ở Israel nữa. Này tất cả mọi sinh mạng đều thuộc về Ta; sinh mạng người cha cũng như sinh mạng người con, đều thuộc về Ta. Ai phạm tội, người ấy sẽ chết. Ai công chính, giữ lề luật và đức công bình, không ăn (của cúng) trên núi và không ngước mắt nhìn các thần tượng của nhà Israel, không xúc phạm đến vợ người khác, không gần gũi đàn bà khi họ không được sạch, không áp bức người ta, trả đồ cầm cố cho người mắc nợ, không cưỡng đoạt của ai, đem bánh cho người đói khát, đem áo mặc cho người trần trụi, không cho vay ăn lời, không lấy thêm của người, giữ tay không làm điều gian ác, xét đoán công minh giữa hai người, ăn ở theo luật lệ của Ta, và giữ các giới răn của Ta để thực hiện chân lý, người đó mới là công chính, nó sẽ được sống, Chúa là Thiên Chúa phán.\rNhưng nếu người đó sinh ra một đứa con trộm cướp, khát máu, phạm tội trong những lỗi nói trên, thì đứa con ấy không đáng sống, vì đã làm những điều đáng ghét, nó sẽ chết, và máu nó sẽ đổ trên đầu nó.\rVì vậy, hỡi nhà Israel, Ta sẽ xét xử mỗi người theo cách nó sống: Chúa là Thiên Chúa phán. Các ngươi hãy trở lại và hãy hối cải tất cả những điều gian ác, thì sự gian ác sẽ không huỷ diệt các ngươi. Hãy dứt bỏ hết mọi tội lỗi các ngươi đã phạm, và hãy tạo cho các ngươi một tâm hồn và một tinh thần mới. Hỡi nhà Israel, tại sao các ngươi muốn chết. Ta không thích cho ai phải chết: Chúa là Thiên Chúa phán. Hãy trở lại để được sống.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 18-19","response":"Ðáp: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch (c. 12a).","verses":["Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin ban lại cho con niềm vui ơn cứu độ; với tinh thần quảng đại, Chúa đỡ nâng con. Con sẽ dạy kẻ bất nhân đường nẻo Chúa, và người tội lỗi sẽ trở về với Ngài.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ, nếu con dâng lễ toàn thiêu, Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát; lạy Chúa, xin đừng chê tấm lòng tan nát khiêm cung."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin mở rộng tầm con mắt con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: )Lạy Cha là Chúa Tể trời đất, con xin ngợi khen Cha, vì Cha đã mạc khải mầu nhiệm Nước Trời cho những người bé mọn. – Alleluia."},"gospel":{"excerpt":"Mt 19, 13-15","info":"“Ðừng ngăn cấm các trẻ nhỏ đến với Ta, vì Nước Trời là của những người giống như chúng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, người ta đem những trẻ nhỏ đến cho Chúa Giêsu để Người đặt tay và cầu nguyện cho chúng. Các môn đệ liền quở trách chúng, nhưng chúa Giêsu bảo: “Hãy để các trẻ nhỏ đến với Ta, và đừng ngăn cấm chúng, vì Nước Trời là của những người giống như chúng”. Sau khi Người đặt tay trên chúng, thì Người đi khỏi nơi đó.","end":"Ðó là lời Chúa"}},
+        "5201": {"firstReading":{"excerpt":"(Năm II) Ed 24, 15-24","info":"“Êdêkiel sẽ là điềm báo trước cho các ngươi, các ngươi cũng sẽ làm đúng như người đã làm”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Có lời Chúa phán cùng tôi rằng: “Hỡi con người, này bằng cái chết bất ngờ, Ta cất khỏi ngươi điều mắt ngươi ưa thích: ngươi chớ than vãn, kêu khóc và rơi lệ. Ngươi hãy âm thầm than van, đừng để tang người chết: hãy vấn khăn trên đầu, xỏ giày vào chân, chớ lấy áo che miệng, chớ dùng bữa nơi nhà hiếu”.\rVậy ban sáng tôi đã nói cùng dân chúng, và chiều thì vợ tôi chết. Sáng hôm sau, tôi thi hành đúng như Chúa đã truyền dạy tôi. Và dân chúng hỏi tôi rằng: “Tại sao ông không giải thích cho chúng tôi biết ý nghĩa việc ông làm?” Tôi bảo họ: “Lời Chúa phán cùng tôi rằng: Hãy nói với nhà Israel: Chúa là Thiên Chúa phán như thế này: Ðây Ta sẽ để đền thờ Ta ra ô uế, đền thờ đó là sự hãnh diện của vương quốc các ngươi, sự mắt các ngươi ưa thích, nơi lòng các ngươi kính sợ. Con trai con gái các ngươi để lại, sẽ ngã gục dưới lưỡi gươm. Bấy giờ các ngươi sẽ hành động như tôi đã hành động: Các ngươi không lấy áo che miệng, không dùng bữa nơi nhà hiếu, cứ đội khăn trên đầu và mang giày dưới chân, sẽ không than vãn, không kêu khóc, nhưng sẽ hao mòn trong sự gian ác các ngươi, và ai nấy sẽ than thở với anh em mình. Êdêkiel sẽ nên điềm báo trước cho các ngươi: các ngươi cũng sẽ làm đúng như Êdêkiel đã làm, và khi mà sự việc xảy ra, các ngươi sẽ biết Ta là Thiên Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðnl 32, 18-19. 20. 21","response":"Ðáp: Ngươi đã bỏ Chúa, Ðấng đã sinh ra ngươi (c. 8a).","verses":["Xướng: Ngươi đã bỏ Chúa, Ðấng đã sinh ra ngươi; đã quên Chúa, Ðấng tạo thành ngươi. Chúa đã thấy, và Người đã nổi cơn thịnh nộ: vì con trai, con gái Người đã trêu chọc Người.","Xướng: Chúa phán: “Ta sẽ che giấu mặt Ta khỏi chúng, và nhìn xem tương lai chúng sẽ ra sao: vì là dòng giống ngỗ nghịch và là con bất hiếu.","Xướng: “Chúng đã trêu chọc Ta bằng thứ chẳng phải là Chúa, đã lấy sự dối trá mà chọc giận Ta; Ta sẽ trêu chúng bằng thứ không phải là dân tộc, và sẽ dùng dân tộc dại dột làm cho chúng tức giận”."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! Phúc thay ai có tâm hồn nghèo khó, vì Nước Trời là của họ. – Alleluia."},"gospel":{"excerpt":"Mt 19, 16-22","info":"“Nếu ngươi muốn nên trọn lành, hãy về bán hết của cải ngươi có, thì ngươi sẽ được kho tàng trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, có một người đến thưa cùng Chúa Giêsu rằng: “Lạy Thầy nhân lành, tôi phải làm việc lành gì để được sống đời đời?” Người bảo kẻ ấy rằng: “Sao ngươi hỏi Ta về việc lành? Chỉ có một Ðấng nhân lành là Thiên Chúa. Nếu ngươi muốn vào nơi hằng sống, ngươi hãy tuân giữ các giới răn”. Người ấy hỏi rằng: “Những giới răn nào?” Chúa Giêsu đáp: “Ngươi chớ giết người, chớ ngoại tình, chớ trộm cắp, chớ làm chứng dối. Hãy thảo kính cha mẹ, và yêu thương kẻ khác như chính mình”. Người thanh niên thưa lại rằng: “Tất cả những điều đó tôi đã giữ từ khi còn niên thiếu, vậy tôi còn thiếu sót gì nữa chăng? Chúa Giêsu bảo anh: “Nếu ngươi muốn nên trọn lành, hãy về bán hết của cải ngươi có và bố thí cho người nghèo khó, thì ngươi sẽ được kho tàng trên trời, rồi đến mà theo Ta”. Khi người thanh niên nghe lời đó thì buồn rầu bỏ đi, vì anh có nhiều sản nghiệp.","end":"Ðó là lời Chúa"}},
+        "5202": {"firstReading":{"excerpt":"(Năm II) Ed 28, 1-10","info":"“Ngươi chỉ là người phàm, chớ không phải Thiên Chúa, mà lòng ngươi dám tự cho mình là Chúa”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Có lời Chúa phán cùng tôi rằng: Hỡi con người, hãy bảo vua Tirô rằng: Chúa là Thiên Chúa phán như thế này: bởi vì ngươi tự kiêu mà rằng: “Ta là Thiên Chúa, ta ngồi trên toà Thiên Chúa giữa biển”, vì ngươi chỉ là người phàm, chứ không phải là Chúa, mà lòng ngươi dám tự cho mình là Chúa! Phải rồi, ngươi khôn ngoan hơn Ðaniel! Không điều bí ẩn nào mà ngươi không biết: Nhờ tài trí và khôn ngoan mà ngươi nên hùng mạnh, và ngươi đã tích trữ vàng bạc trong kho tàng. Nhờ tài trí dồi dào trong việc buôn bán, ngươi đã gia tăng của cải, và tâm hồn ngươi tự cao tự đại về sự phú cường của ngươi.\rVì thế Chúa là Thiên Chúa phán như thế này: Bởi lòng ngươi dám tự cho mình là Chúa, thì đây Ta sẽ dẫn quân ngoại bang, là những kẻ hung bạo nhất trong các dân, đến giày xéo trên ngươi, họ sẽ tuốt gươm chống lại sự khôn ngoan tốt đẹp của ngươi, và làm ô danh ngươi. Họ sẽ giết và triệt hạ ngươi, ngươi sẽ chết như những kẻ chết chìm dưới lòng biển. Trước mặt những kẻ giết ngươi, nào ngươi còn dám nói: “Ta là Thiên Chúa” nữa sao? Vì ngươi là người chứ không phải là Chúa trong tay những kẻ hạ sát ngươi. Ngươi sẽ chết trong tay ngoại bang, như những kẻ không chịu cắt bì: vì Ta đã phán! Chúa là Thiên Chúa phán như vậy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Ðnl 32, 26-27ab. 27cd-28a. 30. 35cd-36ab","response":"Ðáp: Ta sẽ giết chết và sẽ làm cho sống lại (c. 39).","verses":["Xướng: Ta đã phán: “Chúng đang ở đâu?” Ta sẽ làm cho người ta không còn nhớ đến chúng. Nhưng vì giận quân thù, Ta đã giãn ra, kẻo quân thù chúng sẽ nhạo cười.","Xướng: Chúng sẽ nói rằng: “Tay chúng ta cao cả, chẳng phải Chúa đã làm những sự này”. Dân này chẳng có lo lắng, và không có khôn ngoan chút nào. –","Xướng: Bởi đâu một người lại đuổi theo nghìn người, hai người lại đuổi theo một vạn? Vậy chẳng phải vì Chúa đã bán chúng, và Chúa đã chẳng bỏ mặc chúng sao?","Xướng: Ngày tiêu diệt đã gần, và thời hẹn chóng đến. Chúa sẽ xét xử dân Người, và xót thương kẻ làm tôi Chúa."]},"alleluia":{"verse":"Tv 118, 36a và 29b","content":"alleluia! – Lạy Chúa, xin nghiêng lòng con theo lời Chúa răn bảo, và xin rộng tay ban luật pháp của Chúa cho con. – Alleluia."},"gospel":{"excerpt":"Mt 19, 23-30","info":"“Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào Nước Trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy bảo thật các con: Người giàu có thật khó mà vào Nước Trời. Thầy còn bảo các con rằng: Con lạc đà chui qua lỗ kim còn dễ hơn người giàu có vào Nước Trời”. Các môn đệ nghe vậy thì bỡ ngỡ quá mà thưa rằng: “Vậy thì ai có thể được cứu độ?” Chúa Giêsu nhìn các ông mà phán rằng: “Ðối với loài người thì không thể được, nhưng đối với Thiên Chúa thì mọi sự đều có thể được”. Bấy giờ Phêrô thưa Người rằng: “Này đây chúng con đã bỏ mọi sự mà theo Thầy, vậy chúng con sẽ được gì?” Chúa Giêsu bảo các ông rằng: “Thầy bảo thật các con: Các con đã theo Thầy, thì trong ngày tái sinh, khi Con Người ngự trên toà vinh hiển, các con cũng sẽ ngồi trên mười hai toà mà xét xử mười hai chi tộc Israel. Và tất cả những ai bỏ nhà cửa, anh chị em, cha mẹ, vợ con, ruộng nương vì danh Thầy, thì sẽ được gấp trăm và được sự sống đời đời. Nhưng có nhiều kẻ trước hết sẽ nên sau hết, và kẻ sau hết sẽ nên trước hết”.","end":"Ðó là lời Chúa"}},
+        "5203": {"firstReading":{"excerpt":"(Năm II) Ed 34, 1-11","info":"“Ta sẽ giải thoát đoàn chiên Ta khỏi tay chúng, và đoàn chiên sẽ không làm mồi ngon cho chúng nữa”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Có lời Chúa phán cùng tôi rằng: Hỡi con người, hãy nói tiên tri về các chủ chăn Israel, hãy nói tiên tri và bảo các chủ chăn rằng: Chúa là Thiên Chúa phán thế này: Khốn cho các chủ chăn Israel, họ chỉ lo nuôi chính bản thân: chớ thì các chủ chăn không phải lo chăn nuôi đoàn chiên sao? Các ngươi đã uống sữa chiên, đã mặc áo lông chiên, hễ con nào béo tốt, các ngươi làm thịt: nhưng các ngươi không chăn nuôi đoàn chiên của Ta. Con nào yếu đuối, các ngươi không bổ dưỡng; con nào đau ốm, các ngươi không chạy chữa; con nào bị thương, các ngươi không băng bó; con nào đi lạc, các ngươi không đem về; con nào đi mất, các ngươi không tìm kiếm; nhưng các ngươi chăn dắt chúng bằng bạo lực và nghiêm khắc. Các chiên Ta tản mác vì thiếu chủ chăn: chúng làm mồi cho thú dữ ngoài đồng. Các chiên Ta lang thang khắp núi, trên mọi đồi cao, các chiên Ta tản mác khắp mặt đất, và chẳng có ai tìm kiếm. Ta nói, chẳng có ai tìm kiếm.\rVì thế, hỡi các chủ chăn, hãy nghe lời Thiên Chúa phán: Nhân danh mạng sống của Ta, các chiên Ta đã bị cướp mất, các chiên Ta làm mồi cho thú dữ ngoài đồng, vì không có chủ chăn: các chủ chăn của Ta không lo lắng cho đoàn chiên Ta, nhưng chúng chỉ nuôi chính bản thân, mà không chăn nuôi các chiên Ta, vì thế, hỡi các chủ chăn, hãy nghe lời Chúa: Chúa là Thiên Chúa phán như thế này: Ðây chính Ta sẽ đến với các chủ chăn, đòi lại đoàn chiên khỏi tay chúng, và sẽ không cho chúng chăn nuôi đoàn chiên nữa, các chủ chăn không còn nuôi chính bản thân nữa. Ta sẽ giải thoát đoàn chiên Ta khỏi miệng chúng, và đoàn chiên sẽ không còn làm mồi ngon cho chúng nữa.\rVì Chúa là Thiên Chúa phán như thế này: Ðây chính Ta sẽ tìm kiếm các chiên Ta, và Ta sẽ thăm viếng chúng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi (c. 1).","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, người lo bồi dưỡng. – Ðáp.","Xướng: Người dẫn tôi qua những con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa), dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con. – Ðáp.","Xướng: Chúa dọn ra cho con mâm cỗ, ngay trước mặt những kẻ đối phương; đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa. – Ðáp.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư, cho tới thời gian rất ư lâu dài. – Ðáp."]},"alleluia":{"verse":"Tv 118, 135","content":"alleluia! – Xin Chúa tỏ cho tôi tớ Chúa thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 20, 1-16a","info":"“Hay mắt bạn ganh tị, vì tôi nhân lành chăng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này rằng: “Nước Trời giống như chủ nhà kia sáng sớm ra thuê người làm vườn nho mình. Khi đã thoả thuận với những người làm thuê về tiền công nhật là một đồng, ông sai họ đến vườn của ông.\r“Khoảng giờ thứ ba, ông trở ra, thấy có những người khác đứng không ngoài chợ, ông bảo họ rằng: “Các ngươi cũng hãy đi làm vườn nho ta, ta sẽ trả công cho các ngươi xứng đáng”. Họ liền đi. Khoảng giờ thứ sáu và thứ chín, ông cũng trở ra và làm như vậy.\r“Ðến khoảng giờ thứ mười một ông lại trở ra, và thấy có kẻ đứng đó, thì bảo họ rằng: “Sao các ngươi đứng nhưng không ở đây suốt ngày như thế?” Họ thưa rằng: “Vì không có ai thuê chúng tôi”. Ông bảo họ rằng: “Các ngươi cũng hãy đi làm vườn nho ta”.\r“Ðến chiều chủ vườn nho bảo người quản lý rằng: “Hãy gọi những kẻ làm thuê mà trả tiền công cho họ, từ người đến sau hết tới người đến trước hết”. Vậy những người làm từ giờ thứ mười một đến, lãnh mỗi người một đồng. Tới phiên những người đến làm trước, họ tưởng sẽ lãnh được nhiều hơn; nhưng họ cũng chỉ lãnh mỗi người một đồng. Ðang khi lãnh tiền, họ lẩm bẩm trách chủ nhà rằng: “Những người đến sau hết chỉ làm có một giờ, chúng tôi chịu nắng nôi khó nhọc suốt ngày mà ông kể họ bằng chúng tôi sao?” Chủ nhà trả lời với một kẻ trong nhóm họ rằng: “Này bạn, tôi không làm thiệt hại bạn đâu, chớ thì bạn đã không thoả thuận với tôi một đồng sao? Bạn hãy lấy phần bạn mà đi về, tôi muốn trả cho người đến sau hết bằng bạn, nào tôi chẳng được phép làm như ý tôi muốn sao? Hay mắt bạn ganh tị, vì tôi nhân lành chăng?”\r“Như thế, kẻ sau hết sẽ nên trước hết, và kẻ trước hết sẽ nên sau hết”.","end":"Ðó là lời Chúa"}},
+        "5204": {"firstReading":{"excerpt":"(Năm II) Ed 36, 23-28","info":"“Ta sẽ ban cho các ngươi quả tim mới, và đặt giữa các ngươi một thần trí mới”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Ðây Chúa phán: Ta sẽ thánh hoá danh cao cả Ta đã bị xúc phạm giữa các dân tộc, nơi mà các ngươi đã xúc phạm danh thánh Ta, để các dân tộc biết Ta là Chúa, Thiên Chúa các đạo binh phán, khi Ta tự thánh hoá nơi các ngươi trước mặt họ. Ta sẽ kéo các ngươi ra khỏi các dân tộc, sẽ quy tụ các ngươi từ các nước, và dẫn dắt các ngươi trên đất các ngươi. Ta sẽ dùng nước trong sạch mà rảy trên các ngươi, và các ngươi sẽ được rửa sạch mọi vết nhơ. Ta sẽ thanh tẩy các ngươi sạch mọi vết nhơ các bụt thần. Ta sẽ ban cho các ngươi quả tim mới, đặt giữa các ngươi một thần trí mới, cất khỏi xác các ngươi quả tim bằng đá và ban cho các ngươi quả tim bằng thịt. Ta đặt thần trí Ta giữa các ngươi, làm cho các ngươi thực thi các huấn lệnh Ta, làm cho các ngươi tuân giữ và thực hành các lề luật Ta. Các ngươi sẽ cư ngụ trong xứ Ta đã ban cho tổ phụ các ngươi; các ngươi sẽ là dân Ta, còn Ta, Ta sẽ là Thiên Chúa các ngươi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 50, 12-13. 14-15. 18-19","response":"Ðáp: Ta sẽ dùng nước trong sạch mà rảy trên các ngươi, và các ngươi sẽ được rửa sạch mọi vết nhơ (Ed 36, 25).","verses":["Xướng: Ôi lạy Chúa, xin tạo cho con quả tim trong sạch, và canh tân tinh thần cương nghị trong người con. Xin đừng loại con khỏi thiên nhan Chúa, chớ thu hồi Thánh Thần Chúa ra khỏi con.","Xướng: Xin ban lại cho con niềm vui ơn cứu độ; với tinh thần quảng đại, Chúa đỡ nâng con. Con sẽ dạy kẻ bất nhân đường nẻo Chúa, và người tội lỗi sẽ trở về với Ngài.","Xướng: Bởi vì Chúa chẳng ưa gì sinh lễ, nếu con dâng lễ toàn thiêu, Chúa sẽ không ưng. Của lễ con dâng, lạy Chúa, là tâm hồn tan nát; lạy Chúa, xin đừng chê tấm lòng tan nát, khiêm cung."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai Lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Mt 22, 1-14","info":"“Các ngươi gặp bất cứ ai, thì mời vào dự tiệc cưới”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu lại phán cùng các đầu mục tư tế và kỳ lão trong dân những dụ ngôn này rằng: “Nước Trời giống như vua kia làm tiệc cưới cho hoàng tử. Vua sai đầy tớ đi gọi những người đã được mời dự tiệc cưới, nhưng họ không chịu đến. Vua lại sai các đầy tớ khác mà rằng: “Hãy nói cùng những người đã được mời rằng: Này ta đã dọn tiệc sẵn rồi, đã hạ bò và súc vật béo tốt rồi, mọi sự đã sẵn sàng: xin mời các ông đến dự tiệc cưới”. Nhưng những người ấy đã không đếm xỉa gì và bỏ đi: người thì đi thăm trại, người thì đi buôn bán, những người khác thì bắt đầy tớ vua mà nhục mạ và giết đi. Khi vua nghe biết, liền nổi cơn thịnh nộ, sai binh lính đi tru diệt bọn sát nhân đó, và thiêu huỷ thành phố của chúng. Bấy giờ vua nói với các đầy tớ rằng: “Tiệc cưới đã dọn sẵn sàng, nhưng những kẻ đã được mời không đáng dự. Vậy các ngươi hãy ra các ngả đường, gặp bất cứ ai, thì mời vào dự tiệc cưới”. Các đầy tớ liền đi ra đường, gặp ai bất luận tốt xấu, đều quy tụ lại và phòng cưới chật ních khách dự tiệc.\rÐoạn vua đi vào quan sát những người dự tiệc, và thấy ở đó một người không mặc y phục lễ cưới. Vua liền nói với người ấy rằng: “Này bạn, sao bạn vào đây mà lại không mặc y phục lễ cưới?” Người ấy lặng thinh. Bấy giờ vua truyền cho các đầy tớ rằng: “Trói tay chân nó lại, ném nó vào nơi tối tăm, ở đó sẽ phải khóc lóc và nghiến răng!” Vì những kẻ được gọi thì nhiều, còn những kẻ được chọn thì ít”.","end":"Ðó là lời Chúa"}},
+        "5205": {"firstReading":{"excerpt":"(Năm II) Ed 37, 1-14","info":"“Hỡi các bộ xương khô, hãy nghe lời Chúa. Ta sẽ dẫn các ngươi ra khỏi mồ, và dẫn dắt các ngươi vào nhà Israel”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Trong những ngày ấy, tay Chúa đặt trên tôi, và dẫn tôi đi trong thần trí của Chúa: Người để tôi giữa cánh đồng đầy hài cốt; Người đem tôi đi vòng quanh những hài cốt ấy, có rất nhiều bộ xương khô nằm la liệt trên cánh đồng. Và Chúa phán cùng tôi rằng: “Hỡi con người, ngươi nghĩ các xương này sẽ có thể được sống chăng?” Tôi thưa: “Lạy Chúa là Thiên Chúa, Chúa đã biết”. Người liền phán cùng tôi: “Ngươi hãy nói tiên tri về các bộ xương này, và bảo chúng rằng: ‘Hỡi các bộ xương khô, hãy nghe lời Chúa. Chúa là Thiên Chúa phán cùng các bộ xương như thế này: Ðây Ta sẽ khiến hồn nhập vào các ngươi và các ngươi sẽ được sống. Ta sẽ đặt gân trên các ngươi, sẽ khiến thịt mọc ra trên các ngươi, và cho da bọc các ngươi: Ta sẽ ban hồn cho các ngươi, các ngươi sẽ được sống và biết rằng Ta là Chúa’ “. Tôi đã nói tiên tri như Chúa đã truyền cho tôi.\rÐang lúc tôi nói tiên tri, thì có tiếng ồn ào, và tôi thấy chuyển động: các bộ xương họp lại với nhau, xương ăn khớp với nhau. Tôi quan sát, và này đây, gân và thịt mọc trên các bộ xương: có da bọc lại, nhưng chưa có hồn. Và Chúa phán cùng tôi rằng: “Ngươi hãy nói tiên tri về hồn, hỡi con người, hãy nói tiên tri và bảo hồn rằng: ‘Chúa là Thiên Chúa phán như thế này: Hỡi hồn, hãy từ bốn phương tiến đến’, và thổi hơi trên những kẻ bị giết này, để chúng sống lại”. Tôi đã nói tiên tri như Chúa đã truyền cho tôi. Hồn liền nhập vào chúng và chúng được sống. Chúng đứng thẳng lên làm thành một đạo quân cực kỳ đông đảo.\rVà Chúa phán cùng tôi rằng: “Hỡi con người, các bộ xương này là toàn thể nhà Israel. Chúng nói rằng: ‘Xương chúng tôi đã khô đét, chúng tôi mất hết hy vọng, chúng tôi đã bị tiêu diệt’. Bởi đó, ngươi hãy nói tiên tri cho chúng rằng: ‘Chúa là Thiên Chúa phán như thế này: Hỡi dân Ta, này Ta sẽ mở các cửa mồ các ngươi, Ta sẽ kéo các ngươi ra khỏi mồ, và dẫn dắt các ngươi vào đất Israel. Hỡi dân Ta, các ngươi sẽ biết Ta là Chúa, lúc Ta mở cửa mồ các ngươi, và kéo các ngươi ra khỏi mồ, Ta sẽ cho các ngươi thần trí của Ta, và các ngươi sẽ được sống; Ta sẽ cho các ngươi an cư trên đất các ngươi, các ngươi biết rằng: Ta là Chúa, chính Ta đã phán và sẽ thi hành’ “.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 106, 2-3. 4-5. 6-7. 8-9","response":"Ðáp: Hãy chúc tụng Chúa, vì đức từ bi Người còn muôn thuở (c. 1).  Hoặc đọc: Alleluia.","verses":["Xướng: Hãy xướng lên, hỡi những người được Chúa thục mạng cho, những người Chúa đã thục mạng khỏi tay quân thù: những người Chúa đã họp lại từ muôn đất nước; từ đông sang tây và từ bắc chí nam. – Ðáp.","Xướng: Xưa họ lạc lõng trong chốn cô liêu hoang địa, không biết đường đi tới thành trì có thể định cư. Lúc bấy giờ họ đói khát, và sinh lực trong người họ hao mòn.","Xướng: Họ kêu cầu cùng Chúa trong lúc khốn cùng, Người đã cứu họ thoát cảnh gian truân. Người dẫn họ đi trên con đường thẳng, để họ tới được thành trì có thể định cư.","Xướng: Những người đó hãy cảm ơn Chúa vì lòng nhân hậu, và những điều kỳ diệu của Người đối với con người ta. Bởi Người đã cho người đói khát được no đủ, người cơ hàn được tràn trề thiện hảo."]},"alleluia":{"verse":"Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã mạc khải những mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia."},"gospel":{"excerpt":"Mt 22, 34-40","info":"“Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi, và yêu thương kẻ khác như chính mình ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, những người biệt phái nghe tiếng Chúa Giêsu đã làm cho những người Sađốc câm miệng, thì họp nhau lại. Ðoạn một người thông luật trong nhóm họ hỏi thử Người rằng: “Thưa Thầy, trong lề luật, giới răn nào trọng nhất?” Chúa Giêsu phán cùng người ấy rằng: “Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn và hết trí khôn ngươi. Ðó là giới răn thứ nhất và trọng nhất. Nhưng giới răn thứ hai cũng giống giới răn ấy, là: Ngươi hãy yêu thương kẻ khác như chính mình ngươi. Toàn thể lề luật và sách các tiên tri đều tóm lại trong hai giới răn đó”.","end":"Ðó là lời Chúa"}},
+        "5206": {"firstReading":{"excerpt":"(Năm II) Ed 43, 1-7a","info":"“Uy nghi Chúa tiến vào đền thờ”.","title":"Trích sách Tiên tri Êdêkiel.","content":"Thiên Thần dẫn tôi đến cửa phía đông. Và đây vinh quang Thiên Chúa Israel từ con đường phía đông tiến vào: tiếng của Người như tiếng nước lũ, và địa cầu sáng rực uy nghi của Người. Thị kiến mà tôi đã thấy giống như thị kiến trước kia tôi đã xem thấy khi Người đến huỷ diệt thành phố, và như thị kiến tôi đã xem thấy gần sông Côbar, nên tôi sấp mặt xuống đất. Uy nghi Chúa tiến vào đền thờ theo lối của hướng đông. Thần Trí đỡ tôi lên, và dẫn tôi vào hành lang phía trong. Ðây ánh vinh quang của Chúa tràn ngập đền thờ. Tôi đã nghe có người nói với tôi từ trong đền thờ và người đứng gần bên tôi, bảo tôi rằng: “Hỡi con người, đây là nơi đặt bệ ngai Ta, nơi Ta để chân, nơi Ta ngự giữa con cái Israel đến muôn đời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Vinh quang Chúa ngự trị trong đất nước chúng tôi (x. c. 10b).","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng tôi.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Ngài."]},"alleluia":{"verse":"x. Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Mt 23, 1-12","info":"“Họ nói mà không làm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng và các môn đệ rằng: “Các Luật sĩ và các người biệt phái ngồi trên toà Môsê: vậy những gì họ nói với các ngươi, các ngươi hãy làm và tuân giữ, nhưng đừng noi theo hành vi của họ: vì họ nói mà không làm. Họ buộc những bó nặng và chất lên vai người ta: còn chính họ lại không muốn giơ ngón tay lay thử. Mọi công việc họ làm đều có ý cho người ta thấy: vì thế họ nới rộng thẻ kinh, may dài tua áo. Họ muốn được chỗ nhất trong đám tiệc và ghế đầu trong hội đường, ưa được bái chào nơi đường phố và được người ta xưng hô là “Thầy”. Phần các ngươi, các ngươi đừng muốn được người ta gọi là “Thầy”, vì các ngươi chỉ có một Thầy, còn tất cả các ngươi đều là anh em với nhau. Và các ngươi cũng đừng gọi ai dưới đất là “cha”, vì các ngươi chỉ có một Cha, Người ngự trên trời. Các ngươi cũng đừng bắt người ta gọi là “người chỉ đạo”: vì các ngươi có một người chỉ đạo, đó là Ðức Kitô. Trong các ngươi ai quyền thế hơn sẽ là người phục vụ các ngươi. Hễ ai tự nhắc mình lên, sẽ bị hạ xuống, và ai tự hạ mình xuống, sẽ được nâng lên”.","end":"Ðó là lời Chúa"}},
+        "5211": {"firstReading":{"excerpt":"(Năm II) Tx 1, 1-5. 11b-12","info":"“Ðể danh Chúa được vinh hiển trong anh em, và anh em được vinh hiển trong Người”.","title":"Khởi đầu thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Phaolô, Silvanô, và Timôthêu kính gửi lời thăm Giáo đoàn Thêxalônica trong Thiên Chúa là Cha chúng ta, và trong Chúa Giêsu Kitô. Nguyện xin ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Chúa Giêsu Kitô ở cùng anh em. Anh em thân mến, tôi phải luôn luôn cảm tạ ơn Thiên Chúa vì anh em, đó là điều phải lẽ, bởi vì anh em ngày càng thêm lòng tin và hết thảy anh em đều đầy lòng thương yêu nhau, đến nỗi chính chúng tôi cũng được hãnh diện trong các giáo đoàn của Chúa, vì anh em hằng kiên nhẫn và giữ lòng tin trong những cơn bắt bớ gian truân anh em phải chịu. Ðó là dấu chỉ về sự phán xét công minh của Thiên Chúa, để anh em xứng đáng vào nước Thiên Chúa, bởi anh em phải chịu khốn khó vì nước ấy.\rXin Thiên Chúa chúng ta đoái thương làm cho anh em nên xứng đáng ơn Chúa kêu gọi anh em, và xin Người dùng quyền phép mà kiện toàn những ý định ngay lành do lòng tốt của anh em và công việc của lòng tin anh em, để danh Ðức Giêsu Kitô, Chúa chúng ta, được vinh hiển trong anh em, và anh em được vinh hiển trong Người, do ân sủng của Thiên Chúa chúng ta, và của Chúa Giêsu Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 1-2a. 2b-3. 4-5","response":"Ðáp: Hãy tường thuật phép lạ Chúa giữa muôn dân (c. 3).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới. Hãy ca mừng Chúa đi, toàn thể địa cầu! Hãy ca mừng Chúa, hãy chúc tụng danh Người.","Xướng: Ngày ngày hãy loan truyền ơn Người cứu độ. Hãy tường thuật vinh quang Chúa giữa muôn dân, và phép lạ Người ở nơi vạn quốc.","Xướng: Vì Thiên Chúa, Người hùng vĩ và rất đáng ngợi khen. Người khả uý hơn mọi bậc chúa tể. Vì mọi chúa tể của chư dân là hư ảo, nhưng Thiên Chúa đã tác tạo trời xanh."]},"alleluia":{"verse":"2 Cr 5, 19","content":"alleluia! – Thiên Chúa ở trong Ðức Kitô đã giải hoà thế gian với Người, và đã đặt lời giải hoà trên môi miệng chúng tôi. – Alleluia."},"gospel":{"excerpt":"Mt 23, 13-22","info":"“Khốn cho các ngươi, hỡi những kẻ dẫn đường đui mù”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình! Vì các ngươi đóng cửa nước trời không cho người ta vào: vì các ngươi không vào, mà kẻ muốn vào, các ngươi cũng chẳng để cho vào.\r“Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình! Vì các ngươi đọc kinh cho dài để nuốt tài sản của các bà goá, bởi thế, các ngươi sẽ chịu phán xét nặng hơn.\r“Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình! Vì các ngươi rảo khắp biển khơi và lục địa, để tìm cho được một người tòng giáo, nhưng khi đã cho người đó tòng giáo, các ngươi làm cho nó trở thành con cái hoả ngục gấp hai lần các ngươi.\r“Khốn cho các ngươi, hỡi những kẻ dẫn đường đui mù! Vì các ngươi nói rằng: Ai lấy đền thờ mà thề, thì không có giá trị gì, nhưng ai lấy vàng trong đền thờ mà thề, thì mắc lời thề. Hỡi kẻ ngu ngốc và đui mù, chớ thì vàng hay là đền thờ thánh hoá vàng, cái nào trọng hơn? Các ngươi còn bảo rằng: Ai lấy bàn thờ mà thề, thì không giá trị gì, nhưng ai lấy của lễ để trên bàn thờ mà thề, thì mắc lời thề. Hỡi những kẻ đui mù, chớ thì của lễ hay là bàn thờ thánh hoá của lễ, cái nào trọng hơn?\r“Vậy ai lấy bàn thờ mà thề, thì lấy cả bàn thờ và mọi sự để trên bàn thờ mà thề. Kẻ nào lấy đền thờ mà thề, thì lấy cả đền thờ và Ðấng ngự trong đền thờ mà thề. Và kẻ nào lấy trời mà thề, thì lấy ngai toà Thiên Chúa và Ðấng ngự trên ngai toà ấy mà thề”.","end":"Ðó là lời Chúa"}},
+        "5212": {"firstReading":{"excerpt":"(Năm II) 2 Tx 2, 1-3a. 13-16","info":"“Anh em hãy nắm giữ truyền thống anh em đã học biết”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, nhân vì sự Ðức Giêsu Kitô, Chúa chúng ta sẽ đến, và sự tập họp của chúng ta trong Người, chúng tôi nài xin anh em chớ vội thay lòng đổi dạ, chớ kinh hãi vì linh ứng, lời giảng hay thư từ nào, dường như của chúng tôi gởi tới loan báo ngày Chúa gần đến. Ðừng để ai lừa dối anh em cách nào.\rThiên Chúa đã dùng Tin Mừng của chúng tôi mà kêu mời anh em đến lãnh nhận vinh quang của Chúa chúng ta, là Ðức Giêsu Kitô. Anh em thân mến, vì vậy anh em hãy đứng vững, hãy nắm giữ truyền thống anh em đã học biết hoặc bằng lời giảng dạy, hoặc bằng thư từ chúng tôi đã viết. Nguyện xin Ðức Giêsu Kitô, Chúa chúng ta, và Thiên Chúa là Cha chúng ta, Ðấng đã thương yêu chúng ta và dùng ân sủng của Người mà ban cho chúng ta sự an ủi đời đời và lòng cậy trông tốt lành, xin Người khuyên bảo và làm cho lòng anh em bền vững trong mọi việc làm và lời nói tốt lành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 10. 11-12a. 12b-13","response":"Ðáp: Chúa ngự tới cai quản địa cầu (c. 13ab).","verses":["Xướng: Hãy công bố giữa chư dân rằng Thiên Chúa ngự trị. Người giữ vững địa cầu cho nó khỏi lung lay, Người cai quản chư dân theo đường đoan chính.","Xướng: Trời xanh hãy vui mừng và địa cầu hãy hân hoan, biển khơi và muôn vật trong đó hãy reo lên, đồng nội và muôn loài trong đó hãy mừng vui. Các rừng cây hãy vui tươi hớn hở.","Xướng: Trước nhan Thiên Chúa: vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người sẽ cai quản địa cầu cách công minh và chư dân cách chân thành."]},"alleluia":{"verse":"Ep 1, 17-18","content":"alleluia! – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 23, 23-26","info":"“Phải làm những điều này, và không bỏ các điều kia”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình: các ngươi nộp thuế thập phân về bạc hà, hồi hương và thì là, còn những điều quan trọng hơn trong lề luật, là đức công bình, lòng nhân từ và lòng tin thì các ngươi lại bỏ qua; đáng lẽ phải làm những điều này và không bỏ các điều kia.\r“Hỡi những kẻ dẫn đường đui mù, các ngươi gạn lọc một con muỗi ra, nhưng lại nuốt trửng cả con lạc đà. Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình, vì các ngươi rửa bên ngoài chén đĩa, nhưng bên trong, các ngươi đầy gian tham và nhơ bẩn. Hỡi những người biệt phái đui mù, hãy rửa bên trong chén đĩa trước đã, để bên ngoài cũng được sạch”.","end":"Ðó là lời Chúa"}},
+        "5213": {"firstReading":{"excerpt":"(Năm II) 2 Tx 3, 6-10. 16-18","info":"“Nếu ai không muốn làm việc, thì đừng có ăn”.","title":"Trích thư thứ hai của Thánh Phaolô Tông đồ gửi tín hữu Thêxalônica.","content":"Anh em thân mến, nhân danh Ðức Giêsu Kitô, Chúa chúng ta, chúng tôi truyền cho anh em hãy lánh xa khỏi bất cứ người anh em nào sống lười biếng, không theo truyền thống đã nhận lãnh nơi chúng tôi. Vì chưng, chính anh em biết phải noi gương chúng tôi thể nào, bởi chúng tôi đã không lười biếng lúc ở giữa anh em, cũng không ăn bám của ai, nhưng chúng tôi làm lụng khó nhọc vất vả đêm ngày, để không trở nên gánh nặng cho người nào trong anh em. Không phải chúng tôi không có quyền, nhưng là để nêu gương cho anh em, để anh em bắt chước chúng tôi. Bởi vì khi chúng tôi còn ở với anh em, chúng tôi đã truyền dạy anh em rằng: “Nếu ai không muốn làm việc, thì đừng có ăn”.\rNguyện xin Chúa bình an ban cho anh em được bình an luôn mãi trong mọi nơi. Xin Chúa ở cùng tất cả anh em. Chính tay Phaolô này viết lời chào anh em: đó là dấu riêng trong các thư tôi gửi: Tôi viết như vậy đó. Nguyện chúc ân sủng của Chúa chúng ta, là Ðức Giêsu Kitô, ở cùng tất cả anh em! Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 4-5","response":"Ðáp: Phúc thay những bạn nào tôn sợ Thiên Chúa (c. 1a).","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người. Công quả tay bạn làm ra bạn an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Nguyện xin Thiên Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem, hết mọi ngày trong đời sống của bạn, và để bạn nhìn thấy lũ cháu đàn con."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Mt 23, 27-32","info":"“Các ngươi là con cháu những kẻ đã giết các tiên tri”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình: vì các ngươi giống như mồ mả tô vôi, bên ngoài có vẻ tốt đẹp, nhưng bên trong đầy xương kẻ chết và mọi thứ dơ nhớp. Các ngươi cũng thế, bên ngoài, các ngươi có vẻ là người công chính, nhưng bên trong, các ngươi đầy sự giả hình và gian ác. Khốn cho các ngươi, hỡi những luật sĩ và biệt phái giả hình, các ngươi xây đắp phần mộ các tiên tri, trang hoàng mồ mả những người công chính, và các ngươi nói rằng: “Nếu chúng tôi sống thời cha ông chúng tôi, ắt chúng tôi không thông đồng với các ngài trong việc đổ máu các tiên tri”. Vì thế, các ngươi tự chứng thực các ngươi là con cháu những kẻ đã giết các tiên tri. Vậy các ngươi cứ đong cho đầy đấu của cha ông các ngươi”.","end":"Ðó là lời Chúa"}},
+        "5214": {"firstReading":{"excerpt":"(Năm II) 1 Cr 1, 1-9","info":"“Trong mọi sự, anh em hãy nên giàu có trong Người”.","title":"Khởi đầu thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Phaolô, do thánh ý Chúa, được kêu gọi làm Tông đồ của Chúa Giêsu Kitô, và Sôtênê, anh em chúng tôi, kính chào Hội Thánh Chúa ở Côrintô, những người được thánh hoá trong Chúa Giêsu Kitô, được kêu gọi nên thánh, làm một với tất cả mọi người khắp nơi đang kêu cầu thánh danh Ðức Giêsu Kitô, Chúa chúng ta: Nguyện xin ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Ðức Giêsu Kitô, ở cùng anh em.\rTôi hằng cảm tạ Chúa thay cho anh em, vì ơn đã ban cho anh em trong Chúa Giêsu Kitô. Vì chưng, trong Người, anh em được tràn đầy mọi ơn: ơn ngôn ngữ và ơn hiểu biết, đúng như Chúa Kitô đã minh chứng nơi anh em, khiến anh em không còn thiếu ơn nào nữa trong khi mong chờ Ðức Giêsu Kitô, Chúa chúng ta tỏ mình ra. Cũng chính Người sẽ ban cho anh em bền vững đến cùng, không có gì đáng khiển trách trong ngày Ðức Giêsu Kitô, Chúa chúng ta ngự đến. Thiên Chúa là Ðấng Trung Tín, đã kêu mời anh em hiệp nhất với Con của Người, là Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 2-3. 4-5. 6-7","response":"Ðáp: Lạy Chúa, con sẽ chúc tụng danh Chúa tới muôn đời (c. 1b).","verses":["Xướng: Hằng ngày con sẽ chúc tụng Chúa, và con sẽ khen ngợi danh Chúa tới muôn đời, Chúa vĩ đại và rất đáng ngợi khen, sự vĩ đại của Chúa không thể đo lường được.","Xướng: Thế hệ này rao giảng cho thế hệ kia hay công việc Chúa, và thiên hạ loan tin quyền năng của Ngài. Người ta nói đến vinh quang cao cả oai nghiêm, và phổ biến những điều kỳ diệu của Chúa.","Xướng: Người ta nói tới quyền năng trong những việc đáng sợ, và kể ra sự vĩ đại của Ngài. Người ta lớn tiếng khen ngợi lòng nhân hậu bao la, và hân hoan vì đức công minh của Chúa."]},"alleluia":{"verse":"Cl 3, 16a và 17c","content":"alleluia! – Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em; anh em hãy nhờ Ðức Kitô mà tạ ơn Thiên Chúa Cha. – Alleluia.  (Hoặc đọc: )Alleluia, alleluia! – Anh em hãy canh thức và hãy sẵn sàng, vì chính giờ phút anh em không ngờ, thì Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Mt 24, 42-51","info":"“Các con hãy sẵn sàng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy tỉnh thức, vì không biết giờ nào Chúa các con sẽ đến. Nhưng các con phải biết điều này, là nếu chủ nhà biết giờ nào kẻ trộm đến, hẳn ông ta sẽ canh phòng, không để cho đào ngạch khoét vách nhà mình. Vậy các con cũng phải sẵn sàng, vì lúc các con không ngờ, Con Người sẽ đến.\r“Vậy các con nghĩ ai là đầy tớ trung tín và khôn ngoan mà chủ đã đặt lên coi sóc gia nhân, để cứ giờ mà phân phát lương thực cho họ? Phúc cho đầy tớ ấy, khi chủ nó đến thấy nó đang làm như vậy. Thầy bảo thật các con, chủ sẽ đặt người ấy lên coi sóc tất cả gia sản ông. Nhưng nếu đầy tớ ấy xấu, nghĩ trong lòng rằng: “Chủ tôi về muộn”, rồi nó đánh đập các bạn đầy tớ, lại còn chè chén với lũ say sưa: chủ đầy tớ ấy trở về vào ngày nó không ngờ, vào giờ nó không biết, ông sẽ xé xác nó ra, và cho nó chung số phận với những kẻ giả hình: ở đó sẽ phải khóc lóc nghiến răng”.","end":"Ðó là lời Chúa"}},
+        "5215": {"firstReading":{"excerpt":"(Năm II) 1 Cr 1, 17-25","info":"“Chúng tôi rao giảng Chúa Kitô chịu đóng đinh trên thập giá, một cớ vấp phạm đối với người đời, nhưng là sự khôn ngoan đối với những người Thiên Chúa kêu gọi”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, Ðức Kitô không sai tôi đi rửa tội, mà là đi rao giảng Tin Mừng, không phải bằng lời nói khôn khéo, kẻo thập giá của Ðức Kitô ra hư không.\rVì chưng lời rao giảng về thập giá là sự điên rồ đối với những kẻ hư mất; nhưng đối với những người được cứu độ là chúng ta, thì điều đó là sức mạnh của Thiên Chúa. Vì như đã chép rằng: “Ta sẽ phá huỷ sự khôn ngoan của những kẻ khôn ngoan, sẽ chê bỏ sự thông sáng của những người thông sáng”. Người khôn ngoan ở đâu? Người trí thức ở đâu? Người lý sự đời này ở đâu? Nào Thiên Chúa chẳng làm cho sự khôn ngoan của thế gian này trở nên ngu dại sao? Vì khi thế gian tự phụ là khôn, không theo sự khôn ngoan của Thiên Chúa mà nhận biết Thiên Chúa, thì Thiên Chúa đã muốn dùng sự điên rồ của lời rao giảng để cứu độ những kẻ tin. Vì chưng, các người Do-thái đòi hỏi những dấu lạ, những người Hy-lạp tìm kiếm sự khôn ngoan, còn chúng tôi, chúng tôi rao giảng Chúa Kitô chịu đóng đinh trên thập giá, một cớ vấp phạm cho người Do-thái, một sự điên rồ đối với các người ngoại giáo, nhưng đối với những người được kêu gọi, dầu là Do-thái hay Hy-lạp, thì Ngài là Chúa Kitô, quyền năng của Thiên Chúa, và sự khôn ngoan của Thiên Chúa, vì sự điên dại của Thiên Chúa thì vượt hẳn sự khôn ngoan của loài người, và điều yếu đuối của Thiên Chúa thì vượt hẳn sự mạnh mẽ của loài người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 10ab và 11","response":"Ðáp: Ðịa cầu đầy ân sủng của Chúa (c. 5b).","verses":["Xướng: Người hiền đức, hãy hân hoan trong Chúa! Ca ngợi là việc của những kẻ lòng ngay. Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa.","Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng của Chúa.","Xướng: Chúa phá tan ý định của các nước, làm cho vô hiệu tư tưởng của chư dân. Ý định của Chúa tồn tại muôn đời, tư tưởng lòng Người còn mãi đời nọ sang đời kia."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa, và đích thực là thế. – Alleluia."},"gospel":{"excerpt":"Mt 25, 1-13","info":"“Kìa chàng rể đến, hãy ra đón người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Nước trời giống như mười trinh nữ cầm đèn đi đón chàng rể. Trong số đó, có năm cô khờ dại và năm cô khôn ngoan. Năm cô khờ dại mang đèn mà không đem dầu theo. Còn những cô khôn ngoan đã mang đèn, lại đem dầu đầy bình. Vì chàng rể đến chậm, nên các cô đều thiếp đi và ngủ cả.\r“Nửa đêm có tiếng hô to: Kìa, chàng rể đến, hãy ra đón người. Bấy giờ các trinh nữ đều chỗi dậy, sửa soạn đèn của mình. Những cô khờ dại nói với các cô khôn ngoan rằng: “Các chị cho chúng em chút dầu, vì đèn của chúng em đã tắt cả”. Các cô khôn ngoan đáp lại rằng: “E không đủ cho chúng em và các chị, các chị ra (nhà) hàng mà mua thì hơn”. Song khi họ đang đi mua, thì chàng rể đến. Những trinh nữ đã sẵn sàng, thì theo chàng rể cùng vào tiệc cưới, và cửa đóng lại. Sau cùng các trinh nữ kia cũng đến và nói: “Thưa ngài, xin mở cửa cho chúng tôi”. Nhưng người đáp lại: “Ta bảo thật các ngươi, ta không biết các ngươi”. Vậy hãy tỉnh thức, vì các con không biết ngày nào, giờ nào”.","end":"Ðó là lời Chúa"}},
+        "5216": {"firstReading":{"excerpt":"(Năm II) 1 Cr 1, 26-31","info":"“Thiên Chúa đã chọn những điều hèn hạ đối với thế gian”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em hãy xem ơn kêu gọi của anh em: vì không có mấy người khôn ngoan theo xác thịt, không có mấy người quyền thế, không có mấy người sang trọng. Nhưng điều mà thế gian cho là điên dại, thì Thiên Chúa đã chọn để làm cho những người khôn ngoan phải xấu hổ; điều mà thế gian cho là yếu hèn, thì Thiên Chúa đã chọn để làm cho những gì là mạnh mẽ phải hổ ngươi. Thiên Chúa đã chọn những điều hèn hạ đối với thế gian, những điều bị khinh chê, những điều không không, để phá huỷ những điều hiện hữu, hầu mọi xác thịt không thể vinh danh trước mặt Người. Chính do Người mà anh em ở trong Chúa Giêsu Kitô, Ðấng do Thiên Chúa, đã trở nên sự khôn ngoan, sự công chính, sự thánh hoá và sự cứu rỗi cho chúng ta, ngõ hầu, như đã chép: “Ai khoe khoang, thì hãy khoe khoang trong Chúa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 12-13. 18-19. 20-21","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình (c. 12b).","verses":["Xướng: Phúc thay quốc gia mà Chúa là Chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Tự trời cao Chúa nhìn xuống, Người xem thấy hết thảy con cái người ta.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Người; nhìn xem những ai cậy trông ân sủng của Người, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn.","Xướng: Linh hồn chúng tôi mong đợi Chúa, chính Người là Ðấng phù trợ và che chở chúng tôi. Bởi vậy, lòng chúng tôi hân hoan trong Chúa, chúng tôi tin cậy ở thánh danh Người."]},"alleluia":{"verse":"2 Tx 2, 14","content":"alleluia! – Thiên Chúa đã dùng Tin Mừng mà kêu gọi chúng ta, để chúng ta được chiếm lấy vinh quang của Ðức Giêsu Kitô, Chúa chúng ta. – Alleluia."},"gospel":{"excerpt":"Mt 25, 14-30","info":"“Vì ngươi đã trung tín trong việc nhỏ, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Matthêu.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này rằng: “Có một người kia sắp đi xa, liền gọi các đầy tớ đến mà giao phó tài sản của ông. Ông trao cho người này năm nén bạc, người kia hai nén, người khác nữa một nén, tùy theo khả năng mỗi người, đoạn ông ra đi. Người lãnh năm nén bạc, ra đi và dùng tiền ấy buôn bán làm lợi được năm nén khác. Cũng vậy, người lãnh hai nén cũng làm lợi ra hai nén khác. Còn người lãnh một nén, thì đi đào lỗ chôn giấu tiền của chủ mình. Sau một thời gian lâu dài, ông chủ các đầy tớ trở về và đòi họ tính sổ. Vậy người lãnh năm nén bạc đến, mang theo năm nén khác mà nói rằng: “Thưa ông, ông đã trao cho tôi năm nén bạc, đây tôi làm lợi được năm nén khác”. Ông chủ bảo người ấy rằng: “Hỡi đầy tớ tốt lành và trung tín, vì ngươi đã trung tín trong việc nhỏ, ta sẽ đặt ngươi làm những việc lớn, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”. Người đã lãnh hai nén bạc cũng đến và nói: “Thưa ông, ông đã trao cho tôi hai nén bạc, đây tôi đã làm lợi được hai nén khác”. Ông chủ bảo người ấy rằng: “Hỡi đầy tớ tốt lành và trung tín, vì ngươi đã trung tín trong việc nhỏ, ta sẽ đặt ngươi làm những việc lớn, ngươi hãy vào hưởng sự vui mừng của chủ ngươi”.\r“Còn người lãnh một nén bạc đến và nói: “Thưa ông, tôi biết ông là người keo kiệt, gặt chỗ không gieo và thu nơi không phát, nên tôi khiếp sợ đi chôn giấu nén bạc của ông dưới đất. Ðây của ông, xin trả lại ông”. Ông chủ trả lời người ấy rằng: “Hỡi đầy tớ hư thân và biếng nhác, ngươi đã biết ta gặt chỗ không gieo, thu nơi không phát: vậy lẽ ra ngươi phải giao bạc của ta cho người đổi tiền, và khi ta trở về, ta sẽ thu cả vốn lẫn lời. Bởi thế, các ngươi hãy lấy nén bạc lại mà trao cho người có mười nén. Vì người có sẽ cho thêm và sẽ được dư dật, còn kẻ chẳng có, thì vật gì coi như của nó, cũng lấy đi. Còn tên đầy tớ vô dụng, các ngươi hãy ném nó ra ngoài vào nơi tối tăm, ở đó sẽ phải khóc lóc, nghiến răng”.","end":"Ðó là lời Chúa"}},
+        "5221": {"firstReading":{"excerpt":"(Năm II) 1 Cr 2, 1-5","info":"“Tôi đã công bố cho anh em bằng chứng của Chúa Kitô chịu đóng đinh”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, phần tôi, khi tôi đến với anh em, tôi không đến với uy thế của tài hùng biện hoặc của sự khôn ngoan, tôi đến công bố bằng chứng của Thiên Chúa. Thật vậy, tôi không cho là tôi biết điều gì khác giữa anh em, ngoài Chúa Giêsu Kitô chịu đóng đinh. Phần tôi, chính trong sự yếu hèn, sợ hãi và run rẩy mà tôi đã đến với anh em; lời tôi nói và việc tôi rao giảng không dựa vào những lời quyến rũ của sự khôn ngoan loài người, nhưng dựa vào sự giãi bày của thần trí và quyền năng, để đức tin của anh em không dựa vào sự khôn ngoan loài người, nhưng dựa vào quyền năng của Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 97. 99. 100. 101. 102","response":"Ðáp: Lạy Chúa, con yêu chuộng luật pháp Chúa biết bao (c. 97a).","verses":["Xướng: Lạy Chúa, con yêu chuộng luật pháp Chúa biết bao, suốt ngày con mải suy gẫm về luật đó.","Xướng: Chỉ thị Chúa khiến con thành khôn ngoan hơn quân thù, vì muôn đời chỉ thị đó vẫn theo con.","Xướng: Con khôn ngoan hơn những bậc tôn sư, nhờ suy gẫm về những lời nghiêm huấn của Ngài.","Xướng: Con am hiểu hơn những bậc lão thành, vì huấn lệnh của Ngài con tuân giữ.","Xướng: Con kìm hãm chân con xa mọi đường gian ác, để con giữ trọn lời dạy của Ngài.","Xướng: Con không bước trật đường thánh dụ của Ngài, bởi vì chính Ngài đã dạy bảo con."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi giới răn Chúa được lập ra cho tới muôn đời. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Thần Khí Chúa ngự trên tôi, sai tôi đi loan Tin Mừng cho kẻ nghèo hèn. – Alleluia."},"gospel":{"excerpt":"Lc 4, 16-30","info":"“Người sai tôi đi rao giảng Tin Mừng cho người nghèo khó... Không một tiên tri nào được đón tiếp tại quê hương mình”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu trở về Nadarét, nơi Người sinh trưởng, và theo thói quen của Người, thì ngày Sabbat, Người vào hội đường. Người đứng dậy để đọc sách. Người ta trao cho Người sách tiên tri Isaia. Mở sách ra, Người gặp ngay đoạn chép rằng: “Thánh Thần Chúa ngự trên tôi, vì Ngài xức dầu cho tôi, sai tôi đi rao giảng Tin Mừng cho người nghèo khó, thuyên chữa những tâm hồn sám hối, loan truyền sự giải thoát cho kẻ bị giam cầm, cho người mù được trông thấy, trả tự do cho những kẻ bị áp bức, công bố năm hồng ân và ngày khen thưởng”.\rNgười gấp sách lại, trao cho thừa tác viên, và ngồi xuống. Mọi người trong hội đường đều chăm chú nhìn Người. Người bắt đầu nói với họ: “Hôm nay ứng nghiệm đoạn Kinh Thánh mà tai các ngươi vừa nghe”. Mọi người đều làm chứng cho Người và thán phục Người về những lời từ miệng Người thốt ra, và họ nói: “Người này không phải là con ông Giuse sao?”\rVà Người nói với họ: “Hẳn các ngươi sắp nói cho Ta nghe câu ngạn ngữ này: “Hỡi thầy thuốc, hãy chữa lấy chính mình”; “điều chúng tôi nghe xảy ra ở Capharnaum, ông hãy làm như vậy tại quê hương ông”. Người nói tiếp: “Ta bảo thật các ngươi, không một tiên tri nào được đón tiếp tại quê hương mình. Ta bảo thật các ngươi, đã có nhiều bà goá trong Israel thời Êlia, khi trời bị đóng lại trong ba năm sáu tháng, khi nạn đói lớn xảy ra khắp trong xứ; dầu vậy, Êlia không được sai đến cùng một người nào trong các bà đó, nhưng được sai đến bà goá tại Sarepta thuộc xứ Siđon. Cũng có nhiều người phong cùi trong Israel thời tiên tri Êlisêô, thế mà không người nào trong họ được lành sạch cả, ngoại trừ Naaman, người Syria”.\rKhi nghe đến đó, mọi người trong hội đường đều đầy căm phẫn, họ chỗi dậy và trục xuất Người ra khỏi thành. Họ dẫn Người lên triền núi, nơi xây cất thành trì của họ, để xô Người xuống vực thẳm. Nhưng Người rẽ qua giữa họ mà đi.","end":"Ðó là lời Chúa"}},
+        "5222": {"firstReading":{"excerpt":"(Năm II) 1 Cr 2, 10b-16","info":"“Con người xác thịt không hiểu được những sự thuộc về Thánh Thần của Thiên Chúa, còn con người thiêng liêng đoán xét được mọi sự”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, Thánh Thần thấu suốt mọi sự, cả những điều thâm sâu của Thiên Chúa. Vì ai trong loài người biết được những sự thuộc về con người, nếu không phải là thần trí của con người ở trong người ấy? Cũng vậy, không ai biết được những sự thuộc về Thiên Chúa, nếu không phải là Thánh Thần của Thiên Chúa? Phần chúng ta, chúng ta đã không nhận lãnh tinh thần thế tục, nhưng nhận lãnh Thánh Thần bởi Thiên Chúa, để chúng ta nhận biết những sự Thiên Chúa đã ban cho chúng ta. Những điều đó, chúng tôi giảng dạy không phải bằng những lời khôn ngoan của loài người, nhưng bằng giáo lý của Thánh Thần, giãi bày những điều thiêng liêng cho những người thiêng liêng. Con người xác thịt không hiểu được những sự thuộc về Thánh Thần của Thiên Chúa, bởi nó cho là điên rồ và không thể hiểu biết được, vì điều đó phải được xét đoán theo cách thiêng liêng. Còn con người thiêng liêng đoán xét được mọi sự, và kẻ ấy không bị ai đoán xét. Vì nào ai biết được tư tưởng của Chúa, để dạy dỗ Người? Nhưng phần chúng ta, chúng ta có tư tưởng của Ðức Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 8-9. 10-11. 12-13ab. 13cd-14","response":"Ðáp: Chúa công minh trong mọi đường lối (c. 17a).","verses":["Xướng: Chúa nhân ái và từ bi, chậm bất bình và giàu ân sủng. Chúa hảo tâm với hết mọi loài, và từ bi với mọi công cuộc của Chúa.","Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài. Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài.","Xướng: Ðể con cái loài người nhận biết quyền năng, và vinh quang cao cả nước Chúa. Nước Ngài là nước vĩnh cửu muôn đời, chủ quyền Ngài tồn tại qua muôn thế hệ.","Xướng: Chúa trung thành trong mọi lời Ngài phán, và thánh thiện trong mọi việc Ngài làm. Chúa nâng đỡ hết thảy những ai sa ngã, và cho mọi kẻ khòm lưng đứng thẳng lên."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia.  (Hoặc đọc: ) Vị ngôn sứ vĩ đại đã xuất hiện giữa chúng ta, và Thiên Chúa đã viếng thăm dân Người. – Alleluia."},"gospel":{"excerpt":"Lc 4, 31-37","info":"“Tôi biết Ngài là ai rồi, là Ðấng Thánh của Thiên Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu xuống thành Capharnaum, xứ Galilêa, và ở đó Người giảng dạy họ trong các ngày Sabbat. Người ta bỡ ngỡ về giáo lý của Người, vì lời giảng dạy của Người có uy quyền. Bấy giờ trong hội đường, có một người bị quỷ ô uế ám, thét to lên rằng: “Hỡi Giêsu Nadarét, giữa chúng tôi và Ngài có chuyện chi đâu? Ngài đến tiêu diệt chúng tôi sao? Tôi biết Ngài là ai rồi, là Ðấng Thánh của Thiên Chúa”. Nhưng Chúa Giêsu trách mắng nó rằng: “Hãy câm đi và ra khỏi người này”. Và quỷ vật ngã người đó giữa hội đường và xuất khỏi nó, mà không làm hại gì nó. Mọi người kinh hãi và bảo nhau rằng: “Lời gì mà lạ lùng vậy? Vì Người dùng quyền năng mà ra lệnh cho các thần ô uế, và chúng phải xuất ra”. Danh tiếng Người đồn ra khắp nơi trong xứ.","end":"Ðó là lời Chúa"}},
+        "5223": {"firstReading":{"excerpt":"(Năm II) 1 Cr 3, 1-9","info":"“Chúng tôi là những người phụ tá của Thiên Chúa, còn anh em là cánh đồng của Thiên Chúa, là toà nhà của Thiên Chúa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, tôi không thể nói với anh em như với những người thiêng liêng, nhưng với những người xác thịt, những trẻ nhỏ trong Ðức Kitô. Tôi đã cho anh em uống sữa, chứ không cho của ăn, vì bấy giờ anh em chưa ăn được, nhưng cả bây giờ, anh em cũng chưa ăn được, vì hãy còn là người xác thịt. Bởi chưng ở giữa anh em, có sự ghen tương và tranh giành, thì anh em không phải là xác thịt, và sống như người phàm đó sao? Vì khi còn có người nói rằng: “Tôi thuộc về Phaolô”. Kẻ khác nói: “Tôi thuộc về Apollô”, thì anh em không phải là người phàm đó sao?\rVậy Apollô là gì? Phaolô là gì? Tất cả chỉ là những người giúp việc, mỗi người tuỳ theo ơn Chúa đã ban, nhờ họ mà anh em đã tin. Tôi trồng, Apollô tưới, nhưng Thiên Chúa cho mọc lên. Vì thế, kẻ trồng chẳng là gì cả, người tưới cũng chẳng là gì cả, nhưng chỉ Thiên Chúa, Ðấng làm cho mọc lên, mới đáng kể. Kẻ gieo và người tưới đều là một. Mỗi người sẽ lãnh công theo sự khó nhọc của mình. Vì chúng tôi là những người phụ tá của Thiên Chúa: còn anh em là cánh đồng của Thiên Chúa và là toà nhà của Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 12-13. 14-15. 20-21","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình (c. 12b).","verses":["Xướng: Phúc thay quốc gia mà Chúa là Chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Tự trời cao Chúa nhìn xuống, Người xem thấy hết thảy con cái người ta.","Xướng: Tự cung lâu của Người, Người quan sát, hết thảy mọi người cư ngụ địa cầu. Người đã tạo thành tâm can họ hết thảy, Người quan tâm đến mọi việc làm của họ.","Xướng: Linh hồn chúng tôi mong đợi Chúa, chính Người là Ðấng phù trợ và che chở chúng tôi. Bởi vậy lòng chúng tôi hân hoan trong Chúa, chúng tôi tin cậy ở thánh danh Người."]},"alleluia":{"verse":"2 Tm 1, 10b","content":"alleluia! – Ðấng Cứu Chuộc chúng ta là Ðức Giêsu Kitô, đã dùng Tin Mừng tiêu diệt sự chết, và chiếu soi sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 4, 38-44","info":"“Ta còn phải rao giảng Tin Mừng cho các thành khác, bởi chính vì thế mà Ta đã được sai đến”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu chỗi dậy ra khỏi hội đường, Người đến nhà Simon. Nhạc mẫu ông Simon phải cơn sốt nặng, và người ta xin Người chữa bà ấy. Người đứng bên bà, truyền lệnh cho cơn sốt, và cơn sốt biến khỏi bà. Tức thì bà chỗi dậy, và dọn bữa hầu các ngài. Khi mặt trời lặn, mọi người có bệnh nhân đau những chứng bệnh khác nhau, đều dẫn họ đến cùng Người. Người đặt tay trên từng bệnh nhân, và chữa họ lành. Các quỷ xuất khỏi nhiều người và kêu lên rằng: “Ông là Con Thiên Chúa”. Nhưng Người quát bảo không cho chúng nói, vì chúng biết chính Người là Ðức Kitô.\rÐến sáng, Người ra đi vào hoang địa, dân chúng liền đi tìm đến cùng Người, họ cố cầm giữ Người lại, kẻo Người rời bỏ họ. Người bảo họ rằng: “Ta còn phải rao giảng Tin Mừng nước Thiên Chúa cho những thành khác, bởi chính vì thế mà Ta đã được sai đến”. Và Người giảng dạy trong các hội đường xứ Giuđêa.","end":"Ðó là lời Chúa"}},
+        "5224": {"firstReading":{"excerpt":"(Năm II) 1 Cr 3, 18-23","info":"“Tất cả là của anh em, nhưng anh em thuộc về Ðức Kitô, và Ðức Kitô thuộc về Thiên Chúa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, đừng có ai lừa dối mình. Nếu có ai trong anh em cho mình là người khôn ngoan ở đời này, thì kẻ ấy hãy nên điên dại để được khôn ngoan: vì sự khôn ngoan của thế gian này là sự điên dại đối với Thiên Chúa, vì có lời chép rằng: “Chính Người bắt chợt những người khôn ngoan ngay trong xảo kế của họ”. Lại có lời khác rằng: “Chúa biết tư tưởng của những người khôn ngoan là hão huyền”. Vậy đừng có ai còn tự phô trương nơi loài người. Vì tất cả là của anh em, dù là Phaolô hay Apollô, hoặc Kêpha, hoặc thế gian, sự sống hay sự chết, hoặc hiện tại hay tương lai. Tất cả là của anh em; nhưng anh em thuộc về Ðức Kitô, và Ðức Kitô thuộc về Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Chúa là chủ trái đất và mọi vật làm sung mãn nó (c. 1a).","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Ngài xây dựng nó trên biển cả, và Ngài giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Ngài? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Giacob."]},"alleluia":{"verse":"2 Tx 2, 14","content":"alleluia! – Thiên Chúa đã dùng Tin Mừng mà kêu gọi chúng ta, để chúng ta được chiếm lấy vinh quang của Ðức Giêsu Kitô, Chúa chúng ta. – Alleluia.  (Hoặc đọc: )Alleluia, alleluia! Chúa nói: Các anh hãy theo tôi, tôi sẽ làm cho các anh thành những kẻ lưới người như lưới cá. – Alleluia."},"gospel":{"excerpt":"Lc 5, 1-11","info":"“Các ông đã từ bỏ mọi sự mà đi theo Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, dân chúng chen nhau lại gần Chúa Giêsu để nghe lời Thiên Chúa, lúc đó Người đứng ở bờ hồ Ghênêsarét. Người trông thấy hai chiếc thuyền đậu gần bờ; những người đánh cá đã ra khỏi thuyền và họ đang giặt lưới. Người xuống một chiếc thuyền, thuyền đó của ông Simon, và Người xin ông đưa ra khỏi bờ một chút. Rồi Người ngồi trên thuyền, giảng dạy dân chúng.\rVừa giảng xong, Người bảo ông Simon rằng: “Hãy đẩy thuyền ra chỗ nước sâu và thả lưới bắt cá”. Ông Simon thưa Người rằng: “Thưa Thầy, chúng con đã cực nhọc suốt đêm mà không được gì hết; nhưng vì lời Thầy, con sẽ thả lưới”. Các ông đã thả lưới và bắt được rất nhiều cá; lưới các ông hầu như bị rách. Bấy giờ các ông làm hiệu cho các bạn đồng nghiệp ở thuyền bên cạnh đến giúp đỡ các ông. Những người này tới, họ đổ cá đầy hai chiếc thuyền, đến nỗi những thuyền chở nặng gần chìm.\rThấy thế, ông Simon sụp lạy dưới chân Chúa Giêsu và thưa Người rằng: “Lạy Chúa, xin Chúa hãy tránh xa con, vì con là người tội lỗi”. Ông kinh ngạc và tất cả mọi người ở đó với ông cũng kinh ngạc trước mẻ cá mà các ông vừa mới bắt được; cả ông Giacôbê và Gioan, con ông Giêbêđê, bạn đồng nghiệp với ông Simon cũng thế. Nhưng Chúa Giêsu phán bảo ông Simon rằng: “Ðừng sợ hãi: từ đây con sẽ là kẻ chinh phục người ta”. Bấy giờ các ông đưa thuyền vào bờ, và đã từ bỏ mọi sự mà đi theo Người.","end":"Ðó là lời Chúa"}},
+        "5225": {"firstReading":{"excerpt":"(Năm II) 1 Cr 4, 1-5","info":"“Chúa sẽ phơi bày những ý định của tâm hồn”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, như vậy người ta coi chúng tôi như những thừa tác viên của Ðức Kitô, và những người phân phát các mầu nhiệm của Thiên Chúa. Do đó, người ta đòi hỏi nơi những người phân phát các mầu nhiệm là mỗi người phải trung tín. Phần tôi, tôi không lấy làm quan trọng khi bị anh em hay toà án nhân loại đoán xét; nhưng tôi cũng không đoán xét chính mình tôi. Vì chưng, mặc dầu lương tâm không trách cứ tôi điều gì, nhưng không phải vì thế mà tôi đã được công chính hoá. Ðấng đoán xét tôi chính là Chúa. Vì thế, anh em đừng đoán xét trước thời gian cho đến khi Chúa đến, Người sẽ đưa ra ánh sáng những điều giấu kín trong bóng tối và phơi bày những ý định của tâm hồn, và bấy giờ Thiên Chúa sẽ ban khen tương xứng cho mỗi người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 36, 3-4. 5-6. 27-28. 39-40","response":"Ðáp: Người hiền được Chúa ban ơn cứu độ (c. 39a).","verses":["Xướng: Hãy trông cậy vào Chúa và hãy làm lành, để được cư ngụ trong đất nước, thọ hưởng an ninh. Hãy hân hoan tin tưởng vào Chúa, Người sẽ ban cho sự lòng bạn thỉnh cầu.","Xướng: Bạn hãy phó thác đường lối mình cho Chúa, hãy trông cậy vào Người và để chính Người hành động. Người sẽ làm cho chính nghĩa bạn sáng như bình minh, và quyền lợi bạn tỏ như giờ ngọ.","Xướng: Hãy tránh ác và hãy làm lành, hầu được an cư tới ngàn thu; bởi vì Chúa yêu điều chân lý, và không bỏ rơi những tôi tớ trung thành.","Xướng: Người hiền được Chúa ban ơn cứu độ, trong cơn khốn khó, Người là chỗ họ dung thân. Chúa bang trợ và giải thoát họ, Người giải thoát và cứu họ khỏi lũ ác nhân, vì họ đã nương tựa vào Người."]},"alleluia":{"verse":"Cl 3, 16a và 17c","content":"alleluia! – Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em; anh em hãy nhờ Ðức Kitô mà tạ ơn Thiên Chúa Cha. – Alleluia."},"gospel":{"excerpt":"Lc 5, 33-39","info":"“Khi tân lang phải đem đi khỏi họ, bấy giờ họ ăn chay”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người biệt phái và luật sĩ nói với Chúa Giêsu rằng: “Tại sao môn đồ của Gioan năng ăn chay và cầu nguyện, cả môn đồ của những người biệt phái cũng vậy, còn môn đệ của Thầy lại cứ ăn uống?” Người đáp lại rằng: “Các ông có thể bắt các bạn hữu đến dự tiệc cưới, ăn chay, đang khi tân lang còn ở với họ chăng? Nhưng sẽ đến những ngày mà tân lang phải đem đi khỏi họ, bấy giờ họ sẽ ăn chay trong những ngày ấy”.\rNgười còn nói với họ thí dụ này rằng: “Không ai xé miếng vải áo mới mà vá vào áo cũ; chẳng vậy, áo mới đã bị xé, mà mảnh vải áo mới lại không ăn hợp với áo cũ. Cũng chẳng ai đổ rượu mới vào bầu da cũ; chẳng vậy, rượu mới sẽ làm vỡ bầu da, rượu chảy ra và bầu da hư mất. Nhưng rượu mới phải đổ vào bầu da mới, thì giữ được cả hai. Và không ai đang uống rượu cũ mà lại thèm rượu mới, vì người ta nói: ‘Rượu cũ thì ngon hơn”.","end":"Ðó là lời Chúa"}},
+        "5226": {"firstReading":{"excerpt":"(Năm II) 1 Cr 4, 6-15 (hoặc 9-15)","info":"“Chúng tôi chịu đói khát và trần trụi”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em hãy học hỏi nơi tôi và Apollô lời tục ngữ rằng: “Ðừng làm quá điều đã chép”, để anh em đừng kiêu căng mà theo phe người này chống lại phe người khác. Vì có ai làm cho ngươi được nổi bật đâu? Nào ngươi có điều gì mà không phải là ngươi đã nhận lãnh? Nếu ngươi đã nhận lãnh, lẽ nào ngươi khoe mình dường như ngươi không nhận lãnh?\rPhải rồi! anh em đã được no đầy rồi đấy, đã trở nên giàu có rồi đấy, anh em đã cai trị mà không cần đến chúng tôi. Chớ chi anh em được làm vua, để chúng tôi cùng được cai trị với anh em. Vì tôi nghĩ rằng] chúng tôi là những tông đồ rốt hết, mà Thiên Chúa đã phơi bày chúng tôi ra như những người bị tử hình: vì chúng tôi đã nên trò cười cho thế gian, cho các Thiên Thần và loài người. Chúng tôi là những kẻ ngu dại vì Ðức Kitô, còn anh em là những người khôn ngoan trong Ðức Kitô; chúng tôi là những kẻ yếu đuối, còn anh em là những người hùng mạnh; anh em là những người sang trọng, còn chúng tôi là những kẻ hèn hạ. Cho đến giờ này, chúng tôi phải chịu đói khát, trần trụi, bị xỉ vả và long đong, chính tay chúng tôi đã vất vả làm việc; khi bị chúc dữ, chúng tôi chúc lành; bị bắt bớ, chúng tôi chịu đựng; bị thoá mạ, chúng tôi năn nỉ. Chúng tôi trở nên như đồ phế thải của thế gian này, và như cặn bã của mọi loài cho đến giờ này.\rTôi viết những điều này, không phải để làm nhục nhã anh em, nhưng tôi khuyến cáo anh em như con cái rất yêu dấu của tôi. Vì dẫu anh em có hàng vạn thầy dạy trong Ðức Kitô, nhưng anh em không có nhiều cha đâu; vì nhờ Tin Mừng, tôi đã sinh anh em ra trong Ðức Giêsu Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 17-18. 19-20. 21","response":"Ðáp: Chúa gần gũi mọi kẻ kêu cầu Người (c. 18a).","verses":["Xướng: Chúa công minh trong mọi đường lối, và thánh thiện trong việc Chúa làm. Chúa gần gũi mọi kẻ kêu cầu Người, mọi kẻ kêu cầu Người cách thành tâm.","Xướng: Chúa thực hiện ý muốn của những ai tôn sợ Người, Người nghe tiếng họ kêu và Người cứu họ. Chúa gìn giữ tất cả những ai mến yêu Người, và Người hủy diệt hết mọi kẻ bất nhân.","Xướng: Miệng tôi hãy xướng lời ca khen ngợi Chúa, mọi loài huyết nhục hãy chúc tụng danh Chúa tới muôn đời."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi giới răn Chúa được lập ra cho tới muôn ngàn đời. – Alleluia."},"gospel":{"excerpt":"Lc 6, 1-5","info":"“Tại sao các ông làm điều không được phép làm trong ngày Sabbat?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong một ngày Sabbat, khi Chúa Giêsu đi qua đồng lúa, thì các môn đệ bứt bông lúa miến, vò xát trong tay, rồi ăn. Có mấy người biệt phái nói với các ông rằng: “Tại sao các ông làm điều không được phép làm trong ngày Sabbat?” Chúa Giêsu trả lời họ rằng: “Các ông chưa đọc điều Ðavit đã làm khi ông và các người tuỳ tùng bị đói sao? Ngài đã vào đền thờ Thiên Chúa, lấy bánh dâng hiến mà ăn và cho các người bạn tuỳ tùng ăn, bánh đó họ không được phép ăn, nhưng chỉ dành cho các trưởng tế mà thôi”. Và Người bảo họ rằng: “Con Người làm chủ cả ngày Sabbat”.","end":"Ðó là lời Chúa"}},
+        "5231": {"firstReading":{"excerpt":"(Năm II) 1 Cr 5, 1-8","info":"“Anh em hãy tẩy trừ men cũ, vì Chiên Vượt Qua của chúng ta là Ðức Kitô đã hiến tế”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, người ta nghe nói giữa anh em có chuyện tà dâm, thứ tà dâm mà nơi dân ngoại cũng không có như vậy, là có người lấy vợ cha mình. Thế mà anh em còn lên mặt kiêu căng, đáng lẽ anh em phải để tang mà loại trừ khỏi anh em con người làm chuyện đó. Tuy tôi vắng mặt phần xác, nhưng hiện diện bằng tinh thần, tôi đã tuyên án kẻ làm chuyện đó, như tôi đang hiện diện, nhân danh Chúa chúng ta là Ðức Giêsu Kitô, tập họp anh em lại với tâm trí tôi, lấy quyền năng của Chúa chúng ta, là Ðức Giêsu, tôi trao con người như thế cho Satan, để xác nó chết đi, hầu cho tâm hồn nó được cứu thoát trong ngày của Chúa chúng ta, là Ðức Giêsu Kitô.\rViệc anh em lên mặt kiêu căng không tốt đâu. Nào anh em chẳng biết rằng chỉ một dúm men là đủ làm hư cả khối bột đó sao? Anh em hãy tẩy trừ men cũ, để nên bột mới, như anh em là bánh không men. Vì Chiên Vượt Qua của chúng ta là Ðức Kitô đã hiến tế. Vì thế, chúng ta hãy mừng lễ không phải với men cũ, cũng không phải với men gian tà và độc ác, nhưng với bánh không men tinh tuyền và chân chính.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 5, 5-6. 7. 12","response":"Ðáp: Lạy Chúa, xin dẫn con trong đức công minh (c. 9a).","verses":["Xướng: Chúa không phải là Chúa tể ưa điều gian ác, kẻ độc dữ không được cư trú nhà Ngài, đứa bất nhân không thể đứng trước thiên nhan. Chúa ghét những kẻ làm điều gian ác.","Xướng: Ngài tiêu diệt những đứa nói man; người độc ác và gian giảo, thì Chúa ghê tởm không nhìn.","Xướng: Nhưng hết thảy ai tìm đến Chúa sẽ mừng vui, họ sẽ hân hoan cho tới muôn đời. Chúa che chở họ, họ sẽ mừng vui bởi Chúa, đó là những kẻ yêu mến danh Ngài."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Lc 6, 6-11","info":"“Các ông quan sát xem Người có chữa lành bệnh trong ngày Sabbat không”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vào một ngày Sabbat, Chúa Giêsu vào hội đường và giảng dạy. Khi ấy ở đó có một người tay hữu bị khô bại. Những luật sĩ và biệt phái quan sát xem Người có chữa lành người ấy trong ngày Sabbat không, để có cớ tố cáo Người. Nhưng Người biết tư tưởng các ông, liền bảo người có tay khô bại rằng: “Ngươi hãy chỗi dậy mà đứng ra giữa đây”. Người đó đứng thẳng dậy. Ðoạn Chúa Giêsu bảo các ông ấy rằng: “Tôi hỏi các ông, ngày Sabbat được phép làm sự lành hay sự dữ, cứu sống hay là giết chết?” Rồi đưa mắt nhìn mọi người, Chúa bảo người đó rằng: “Ngươi hãy giơ tay ra”. Người ấy giơ ra, và tay người ấy được lành.\rBấy giờ các ông đầy lòng tức giận, và bàn định với nhau xem có thể làm gì được Chúa Giêsu.","end":"Ðó là lời Chúa"}},
+        "5232": {"firstReading":{"excerpt":"(Năm II) 1 Cr 6, 1-11","info":"“Anh em có việc kiện tụng nhau, và đem đến trước mặt người ngoại”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, làm sao trong anh em có người dám đem việc bất bình với kẻ khác ra thưa kiện trước mặt kẻ gian ác, chứ không trước mặt các thánh? Hay anh em lại không biết các thánh sẽ phán xét thế gian này sao? Và nếu anh em có quyền phán xét thế gian, thì anh em không xứng đáng xét xử những việc rất nhỏ mọn như thế sao? Anh em lại không biết chúng ta sẽ phán xét các thiên thần sao, phương chi là các việc đời này?\rVậy nếu anh em phải kiện cáo nhau về những việc đời này, anh em lại cắt đặt những người không đáng kể trong Hội thánh mà xét xử sao? Thật là một điều nhục cho anh em mà tôi phải nói như vậy. Chớ thì trong anh em không có người nào khôn ngoan có thể xét xử giữa anh em sao? Nhưng khi có việc kiện cáo giữa anh em với nhau mà lại đem đến trước mặt người ngoại ư? Nguyên việc anh em kiện tụng nhau, cũng đã là một lỗi rồi. Tại sao anh em không đành chịu một chút bất công? Tại sao anh em không đành chịu một chút thiệt thòi? Trái lại chính anh em ăn ở bất công và lừa đảo, mà lại xử như thế với chính anh em mình. Hay anh em lại không biết rằng: những kẻ gian ác sẽ không được hưởng nước Thiên Chúa sao? Anh em chớ lầm tưởng: những kẻ gian dâm, thờ ngẫu tượng, ngoại tình, xấu nết, loạn dâm, trộm cắp, tham lam, say sưa, vu khống hay bóc lột đều không được hưởng nước Thiên Chúa đâu.\rXưa kia trong anh em đã có ít người như vậy. Nhưng anh em đã được rửa sạch, đã được thánh hoá, đã được công chính hoá, nhân danh Chúa chúng ta là Ðức Giêsu Kitô, và trong Thánh Thần của Thiên Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","response":"Ðáp: Chúa yêu thương dân Người (c. 4a).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, hãy vang lên lời khen ngợi trong công hội các tín đồ. Israel hãy mừng vui vì Ðấng tạo tác bản thân; con cái Sion hãy hân hoan vì vua của họ.","Xướng: Họ hãy hoà nhạc để ngợi khen Người. Hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang. Hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống. Anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Lc 6, 12-19","info":"“Suốt đêm, Người cầu nguyện, Người chọn mười hai vị mà Người gọi là Tông đồ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong những ngày ấy, Chúa Giêsu lên núi cầu nguyện, và suốt đêm, Người cầu nguyện cùng Thiên Chúa. Sáng ngày, Người gọi các môn đệ và chọn mười hai vị mà Người gọi là Tông đồ: Ðó là Simon, mà Người đặt tên là Phêrô, và em ông là Anrê, Giacôbê và Gioan, Philipphê và Bartôlômêô, Matthêu và Tôma, Giacôbê con ông Alphê và Simon cũng gọi là Nhiệt Thành, Giuđa con ông Giacôbê và Giuđa Iscariốt là kẻ phản bội.\rNgười đi xuống với các ông, và dừng lại trên một khoảng đất bằng phẳng, có nhóm đông môn đệ cùng đoàn lũ dân chúng đông đảo từ khắp xứ Giuđêa, Giêrusalem và miền duyên hải Tyrô và Siđôn đến nghe Người giảng và để được chữa lành mọi bệnh tật. Cả những người bị quỷ ô uế hành hạ cũng được chữa khỏi, và tất cả đám đông tìm cách chạm tới Người, vì tự nơi Người phát xuất một sức mạnh chữa lành mọi người.","end":"Ðó là lời Chúa"}},
+        "5233": {"firstReading":{"excerpt":"(Năm II) 1 Cr 7, 25-31","info":"“Ngươi bị ràng buộc với vợ ư? Ngươi đừng tìm cách tháo gỡ. Ngươi không còn ràng buộc với vợ ư? Ngươi đừng tìm cưới vợ nữa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, về những người đồng trinh, tôi không có lời Chúa truyền dạy nào, nhưng tôi đã được Chúa thương, nên tôi cho ý kiến như một người đáng tin cậy. Vậy tôi nghĩ rằng đó là một điều tốt theo nhu cầu hiện tại. Phải, người ta ở vậy quả là một điều tốt. Ngươi bị ràng buộc với vợ ư? Ngươi đừng tìm cách tháo gỡ. Ngươi không còn bị ràng buộc với vợ ư? Ngươi đừng tìm cưới vợ nữa. Nhưng nếu ngươi cưới vợ, ngươi chẳng có tội gì. Và nếu kẻ đồng trinh kết bạn, thì chẳng có tội gì. Nhưng những người thể ấy, sẽ chuốc lấy khốn khổ vào thân. Phần tôi, tôi muốn cho anh em tránh được điều đó.\rAnh em thân mến, tôi nói cùng anh em điều này là: Thời giờ vắn vỏi; còn có cách là những ai có vợ, hãy ăn ở như không có; những ai than khóc, hãy ăn ở như không than khóc; những kẻ hân hoan, hãy ăn ở như không hân hoan; những người mua sắm, hãy ăn ở như không có gì; những ai dùng sự đời này, hãy ăn ở như không tận hưởng, vì chưng bộ mặt thế gian này đang qua đi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 44, 11-12. 14-15. 16-17","response":"Ðáp: Xin hãy nghe, thưa nương tử, hãy coi và hãy lắng tai (c. 11a).","verses":["Xướng: Xin hãy nghe, thưa nương tử, hãy coi và hãy lắng tai, hãy quên dân tộc và nhà thân phụ, để Ðức Vua Người sủng ái dong nhan: chính Người là Chúa của cô nương, hãy phục vụ Người.","Xướng: Tất cả huy hoàng là nàng công chúa đi vào cung nội, áo nàng dệt bằng những sợi chỉ vàng. Bận áo gấm sặc sỡ, nàng được dẫn tiến Ðức Vua, theo sau nàng là những cô trinh nữ bạn bè, họ cũng được bệ kiến long nhan.","Xướng: Họ bước đi trong niềm hân hoan vui vẻ, tiến vào trong cung điện Ðức Vua. Người sẽ có con nối gót tiên vương liệt vị, và phong họ làm quan trên cả sơn hà."]},"alleluia":{"verse":"Ep 1, 17-18","content":"alleluia! – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia.  (Hoặc đọc: ) Alleluia. alleluia! – Chúa nói: Anh em hãy vui mừng nhảy múa, vì này đây phần thưởng dành cho anh em ở trên trời thật lớn lao.- Alleluia"},"gospel":{"excerpt":"Lc 6, 20-26","info":"“Phúc cho những kẻ nghèo khó. Khốn cho các ngươi là kẻ giàu có”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đưa mắt nhìn các môn đệ và nói: “Phúc cho các ngươi là những kẻ nghèo khó, vì nước Thiên Chúa là của các ngươi. Phúc cho các ngươi là những kẻ bây giờ đói khát, vì các ngươi sẽ được no đầy. Phúc cho các ngươi là những kẻ bây giờ phải khóc lóc, vì các ngươi sẽ được vui cười. Phúc cho các ngươi, nếu vì Con Người mà người ta thù ghét, trục xuất và phỉ báng các ngươi, và loại trừ các ngươi như kẻ bất lương, ngày ấy các ngươi hãy hân hoan và reo mừng, vì như thế, phần thưởng các ngươi sẽ bội hậu trên trời. Chính cha ông họ cũng đã đối xử với các tiên tri y như thế.\r“Nhưng khốn cho các ngươi là kẻ giàu có, vì các ngươi hiện đã được phần an ủi rồi. Khốn cho các ngươi là kẻ đã được no nê đầy đủ, vì các ngươi sẽ phải đói khát. Khốn cho các ngươi là kẻ hiện đang vui cười, vì các ngươi sẽ ưu sầu khóc lóc. Khốn cho các ngươi khi mọi người đều ca tụng các ngươi, vì chính cha ông họ cũng từng đối xử như vậy với các tiên tri giả”.","end":"Ðó là lời Chúa"}},
+        "5234": {"firstReading":{"excerpt":"(Năm II) 1 Cr 8, 1b-7, 11-13","info":"“Anh em làm tổn thương lương tâm yếu đuối của họ, là anh em phạm đến Ðức Kitô”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, sự thông thái làm cho người ta ra kiêu căng, còn lòng yêu thương thì xây dựng. Nếu ai tưởng mình biết điều gì, thì kẻ ấy chưa biết mình phải biết đúng cách. Nhưng nếu ai yêu mến Thiên Chúa, thì kẻ ấy được Thiên Chúa nhận biết. Còn về đồ ăn đã cúng tế cho các ngẫu tượng, chúng ta biết ngẫu tượng ở thế này là hư vô, và chẳng có Chúa nào khác ngoài một Thiên Chúa. Vì chưng, dù trên trời dưới đất, có những vị được người ta gọi là thần, (thật ra người ta cho rằng có nhiều thần nhiều chúa), nhưng đối với chúng tôi, chỉ có một Thiên Chúa là Cha, bởi Người mà mọi sự đều có và chúng ta phải quy về Người. Và có một Chúa là Ðức Giêsu Kitô, nhờ Người mà có mọi sự, và cũng nhờ chính Người mà có chúng ta. Nhưng không phải mọi người đều có sự thông biết, vì cho đến nay, còn có ít kẻ giữ thói quen thờ ngẫu thần, nên họ ăn của cúng tế cho ngẫu tượng, và lương tâm họ vốn yếu đuối, nên ra nhơ nhớp.\rVà tại sự thông biết của ngươi, mà người anh em yếu đuối phải hư đi, người anh em mà Ðức Kitô đã chết cho. Và làm tổn thương lương tâm yếu đuối của họ, là anh em phạm đến Ðức Kitô. Vì thế, nếu thức ăn làm cho người anh em tôi vấp phạm, thì tôi sẽ không ăn thịt cho tới muôn đời, kẻo làm cho người anh em tôi vấp phạm.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 138, 1-3. 13-14ab. 23-24","response":"Ðáp: Lạy Chúa, xin hướng dẫn con trong đường lối đời đời (c. 24b).","verses":["Xướng: Lạy Chúa, Ngài thăm dò và biết rõ con, Ngài biết con lúc con ngồi, khi con đứng. Ngài hiểu thấu tư tưởng con từ đàng xa. Khi con bước đi hay nằm nghỉ, Ngài thấy hết; Ngài để ý tới mọi đường lối của con.","Xướng: Chính Ngài đã nặn ra thận tạng con, đã dệt ra con trong lòng thân mẫu. Con ngợi khen Ngài đã tạo nên con lạ lùng như thế, vì công cuộc của Ngài thực diệu huyền.","Xướng: Lạy Chúa, xin dò xét con và nhận biết lòng con; xin thử thách con và biết tỏ tư tưởng con. Xin Chúa nhìn coi hoặc giả con đi đường bất chính, và xin hướng dẫn con trong đường lối đời đời."]},"alleluia":{"verse":"2 Cr 5, 19","content":"alleluia! – Thiên Chúa ở trong Ðức Kitô đã giải hoà thế gian với Người, và đã đặt lời giải hoà trên môi miệng chúng tôi. – Alleluia."},"gospel":{"excerpt":"Lc 6, 27-38","info":"“Các con hãy tỏ lòng thương xót như Cha các con hay thương xót”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy bảo các con đang nghe Thầy đây: Các con hãy yêu kẻ thù, hãy làm ơn cho những kẻ ghét mình, hãy chúc phúc cho những kẻ nguyền rủa mình, hãy cầu nguyện cho những kẻ vu khống mình. Ai vả con má bên này, thì đưa cả má bên kia; ai lột áo ngoài của con, thì con cũng đừng cản nó lấy áo trong. Ai xin, thì con hãy cho, và ai lấy gì của con, thì đừng đòi lại.\rCác con muốn người ta làm điều gì cho các con, thì hãy làm cho người ta như vậy. Nếu các con yêu những kẻ yêu các con, thì còn ân nghĩa gì nữa? Vì cả những người tội lỗi cũng yêu những ai yêu họ. Và nếu các con làm ơn cho những kẻ làm ơn cho các con, thì còn ân nghĩa gì? Cả những người tội lỗi cũng làm như vậy. Và nếu các con cho ai vay mượn mà trông người ta trả lại, thì còn ân nghĩa gì? Cả những người tội lỗi cũng cho những kẻ tội lỗi vay mượn để rồi được trả lại sòng phẳng.\rVậy các con hãy yêu kẻ thù, hãy làm ơn và cho vay mượn mà không trông báo đền. Phần thưởng của các con bấy giờ sẽ lớn lao, và các con sẽ là con cái Ðấng Tối Cao, vì Người nhân hậu với những kẻ bội bạc và những kẻ gian ác.\rVậy các con hãy ở nhân từ như Cha các con là Ðấng nhân từ. Ðừng xét đoán, thì các con sẽ khỏi bị xét đoán; đừng kết án, thì các con khỏi bị kết án. Hãy tha thứ, thì các con sẽ được thứ tha. Hãy cho, thì sẽ cho lại các con; người ta sẽ lấy đấu hảo hạng, đã dằn, đã lắc và đầy tràn mà đổ vào vạt áo các con. Vì các con đong đấu nào, thì cũng sẽ được đong trả lại bằng đấu ấy”.","end":"Ðó là lời Chúa"}},
+        "5235": {"firstReading":{"excerpt":"(Năm II) 1 Cr 9, 16-19. 22b-27","info":"“Tôi đã nên mọi sự đối với tất cả mọi người, để làm cho mọi người được cứu rỗi”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, nếu tôi rao giảng Tin Mừng, thì không phải để làm cho tôi vinh quang, mà vì đó là một nhu cầu đối với tôi. Vô phúc cho tôi, nếu tôi không rao giảng Tin Mừng. Giả như nếu tôi tự ý đảm nhận việc ấy, thì tôi có công; nhưng nếu tôi bị ép buộc, thì tôi phải làm trọn nghĩa vụ đã giao phó cho tôi. Vậy thì phần thưởng của tôi ở đâu? Khi rao giảng Tin Mừng, tôi đem Tin Mừng biếu không, tôi không dùng quyền mà Tin Mừng dành cho tôi.\rMặc dầu tôi được tự do đối với tất cả mọi người, tôi đã đành làm nô lệ cho mọi người, hầu thu hút được nhiều người hơn. Tôi đã nên mọi sự đối với tất cả mọi người, để làm cho mọi người được cứu rỗi. Tất cả những việc đó, tôi làm vì Tin Mừng để được thông phần vào lợi ích của Tin Mừng. Anh em không biết rằng những kẻ chạy trong vận động trường, thì mọi người đều chạy nhưng chỉ có một người đoạt giải đó sao? Cũng vậy, anh em hãy chạy sao để đoạt được giải. Mọi tay đua đều phải kiêng cữ đủ điều, và những kẻ ấy kiêng cữ để đoạt lấy triều thiên hay hư nát, còn chúng ta, chúng ta nhắm đoạt triều thiên không hay hư nát.\rPhần tôi cũng chạy như thế, chứ không phải chạy lẩn quẩn; tôi đấu võ, không phải như đấm vào không khí, nhưng tôi chế ngự thân xác, bắt nó tùng phục tôi, kẻo lỡ ra tôi giảng dạy cho kẻ khác, mà chính tôi phải bị loại ra chăng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6. 12","response":"Ðáp: Ôi Chúa thiên binh, khả ái thay cung điện của Ngài (c. 2).","verses":["Xướng: Linh hồn tôi khát khao và mòn mỏi, mong vào hành lang nhà Thiên Chúa. Tâm thần và thể xác tôi hoan hỉ tìm đến cùng Thiên Chúa trường sinh.","Xướng: Ðến như chim sẻ còn kiếm được nhà, và chim nhạn tìm ra tổ ấm, để làm nơi ấp ủ con mình, cạnh bạn thờ Chúa. Ôi Chúa là Thiên Chúa thiên binh, ôi Ðại Vương và Thiên Chúa của con.","Xướng: Ôi Thiên Chúa, phúc đức ai ngụ nơi nhà Chúa: họ sẽ khen ngợi Chúa tới muôn đời. Phúc thay người được Chúa nâng đỡ, họ tiến lên ngày càng thêm hăng hái.","Xướng: Vì Thiên Chúa là thuẫn khiên, thành lũy. Thiên Chúa rộng ban ân sủng với vinh quang. Ngài không từ chối ơn lành với những ai sống sạch trong vô tội."]},"alleluia":{"verse":"Ga 14, 23","content":"alleluia! – Nếu ai yêu mến Thầy, thì sẽ giữ lời Thầy, và Cha Thầy sẽ yêu mến người ấy, và Chúng Ta sẽ đến và ở trong người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 6, 39-42","info":"“Người mù có thể dẫn người mù được chăng?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ dụ ngôn này: “Người mù có thể dẫn người mù được chăng? Cả hai lại không sa xuống hố ư? Môn đệ không trọng hơn Thầy; nếu môn đệ được giống như Thầy, thì kể là hoàn hảo rồi.\r“Sao ngươi nhìn cái rác trong mắt anh em, còn cái đà trong chính mắt ngươi thì lại không thấy? Sao ngươi có thể nói với người anh em: “Này anh, hãy để tôi lấy cái rác trong con mắt anh”, trong khi chính ngươi không nhìn thấy cái đà trong mắt ngươi. Hỡi kẻ giả hình, hãy lấy cái đà ra khỏi mắt mình trước đã, rồi bấy giờ ngươi sẽ trông rõ để lấy cái rác khỏi mắt anh em ngươi”.","end":"Ðó là lời Chúa"}},
+        "5236": {"firstReading":{"excerpt":"(Năm II) 1 Cr 10, 14-22a","info":"“Chỉ có một bánh, nên chúng ta tuy nhiều, cũng chỉ làm thành một thân xác”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em hãy xa lánh sự thờ lạy các ngẫu tượng. Tôi muốn nói với những người biết điều! Ðiều tôi tuyên bố, anh em hãy xét thử! Chén chúc tụng mà chúng ta cầm lên chúc tụng Chúa, chẳng phải là thông hiệp với Máu Chúa Kitô sao? Tấm bánh mà chúng ta bẻ ra, chẳng phải là thông phần vào Mình Chúa đó sao? Bởi vì chỉ có một bánh, mà tất cả chúng ta đều thông phần vào một bánh đó, nên chúng ta tuy nhiều, cũng chỉ làm thành một thân xác. Anh em hãy xem Israel về phần xác: Nào những kẻ ăn của tế lễ, chẳng phải là thông phần vào bàn thờ sao?\rVậy nói thế nghĩa là gì? Tôi nói, của lễ dâng lên ngẫu tượng có là cái gì đâu? Hay ngẫu tượng có là cái gì đâu? Nhưng các dân ngoại tế lễ, là tế lễ cho ma quỷ, chứ không phải cho Thiên Chúa. Nhưng tôi không muốn anh em giao kết với ma quỷ. Anh em không thể uống cả chén của Chúa, cả chén của ma quỷ được. Anh em không thể thông phần vừa vào bàn tiệc Chúa, vừa vào bàn tiệc ma quỷ được. Hay là chúng ta muốn chọc tức Chúa?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 115, 12-13. 17-18","response":"Ðáp: Lạy Chúa, con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ (c. 17a).","verses":["Xướng: Tôi lấy gì dâng lại cho Chúa, để đền đáp những điều Ngài ban tặng cho tôi? Tôi sẽ lãnh chén cứu độ, và tôi sẽ kêu cầu danh Chúa.","Xướng: (Lạy Chúa,) con sẽ hiến dâng Chúa lời ca ngợi làm sinh lễ, và con sẽ kêu cầu danh Chúa. Con sẽ giữ trọn lời khấn xin cùng Chúa, trước mặt toàn thể dân Ngài."]},"alleluia":{"verse":"x. Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 6, 43-49","info":"“Tại sao các con gọi Thầy “Lạy Chúa, lạy Chúa”, mà không thi hành điều Thầy dạy bảo?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không có cây nào tốt mà sinh trái xấu, và cũng không có cây nào xấu mà sinh trái tốt. Thật vậy, cứ xem trái thì biết cây. Người ta không hái trái vả nơi bụi gai, và người ta cũng không hái trái nho nơi cây dâu đất. Người tốt phát ra điều tốt từ kho tàng tốt của lòng mình, và kẻ xấu phát ra điều xấu từ kho tàng xấu của nó, vì lòng đầy thì miệng mới nói ra. Tại sao các con gọi Thầy: “Lạy Chúa, lạy Chúa”, mà các con không thi hành điều Thầy dạy bảo? Ai đến cùng Thầy, thì nghe lời Thầy và đem ra thực hành. Thầy sẽ chỉ cho các con biết người ấy giống ai. Người ấy giống như người xây nhà: ông ta đào sâu và đặt nền móng trên đá. Khi có trận lụt, dù nước ùa vào nhà, cũng không làm cho nó lay chuyển, vì nhà đó được đặt nền trên đá. Trái lại, kẻ nghe mà không đem ra thực hành, thì giống như người xây nhà ngay trên mặt đất mà không có nền móng. Khi sóng nước ùa vào nhà, nó liền sụp đổ, và nhà đó bị hư hại nặng nề”.","end":"Ðó là lời Chúa"}},
+        "5241": {"firstReading":{"excerpt":"(Năm II) 1 Cr 11, 17-26","info":"“Anh em họp nhau lại thì không phải là để ăn bữa tối của Chúa”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, tôi truyền dạy điều này: tôi chẳng khen anh em, vì anh em hội nhau, không phải để được ích lợi hơn, nhưng là để ra tệ hơn. Trước tiên, tôi nghe đồn rằng: khi anh em họp nhau trong cộng đoàn, thì có sự chia rẽ giữa anh em, và tôi cũng tin phần nào. Vì cần phải có phe phái, để những người đã được thử thách, được tỏ rõ giữa anh em. Vậy khi anh em họp nhau lại thì không phải là để ăn bữa tối của Chúa, vì mỗi người đều lo đem bữa ăn riêng của mình đến để ăn. Vì thế người thì đói, người khác lại say sưa. Chớ thì anh em không có nhà để ăn uống sao? Hay là anh em khinh miệt Cộng Ðoàn Thiên Chúa, và làm nhục những kẻ không có gì? Tôi phải nói thế nào với anh em? Khen anh em ư? Về điều này, tôi chẳng khen anh em.\rVì chưng, phần tôi, tôi đã lãnh nhận nơi Chúa điều mà tôi đã truyền lại cho anh em, là Chúa Giêsu trong đêm bị nộp, Người cầm lấy bánh và tạ ơn, bẻ ra và phán: “Các con hãy lãnh nhận mà ăn, này là Mình Ta, sẽ bị nộp vì các con: Các con hãy làm việc này mà nhớ đến Ta”. Cùng một thể thức ấy, sau bữa ăn tối, Người cầm lấy chén và phán: “Chén này là Tân Ước trong Máu Ta; mỗi khi các con uống, các con hãy làm việc này mà nhớ đến Ta”. Vì mỗi khi anh em ăn bánh và uống chén này, anh em loan truyền việc Chúa chịu chết, cho tới khi Chúa lại đến.\rVậy hỡi anh em, khi anh em họp nhau để dùng bữa, anh em hãy chờ đợi nhau.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 39, 7-8a. 8b-9. 10. 17","response":"Ðáp: Anh em hãy loan truyền việc Chúa chịu chết cho tới khi Chúa lại đến (1 Cr 11, 26b).","verses":["Xướng: Hy sinh và lễ vật thì Chúa chẳng ưng, nhưng Ngài đã mở tai con. Chúa không đòi hỏi lễ toàn thiêu và lễ đền tội, bấy giờ con đã thưa: “Này con xin đến”.","Xướng: Như trong Quyển Vàng đã chép về con: lạy Chúa, con sung sướng thực thi ý Chúa, và pháp luật của Chúa ghi tận đáy lòng con.","Xướng: Con đã loan truyền đức công minh Chúa trong đại hội, thực con đã chẳng ngậm môi, lạy Chúa, Chúa biết rồi.","Xướng: Hãy mừng vui hoan hỉ trong Chúa, bao nhiêu kẻ tìm Chúa, và luôn luôn nói: Chúa thực là cao cả! Bao nhiêu kẻ mong ơn phù trợ của Người."]},"alleluia":{"verse":"Gc 1, 18","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia."},"gospel":{"excerpt":"Lc 7, 1-10","info":"“Cả trong dân Israel, Ta cũng chẳng thấy lòng tin mạnh mẽ như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, lúc Chúa Giêsu đã nói với dân chúng xong, Người vào Capharnaum. Bấy giờ một viên sĩ quan có tên đầy tớ thân tín bị bệnh gần chết. Nghe nói về Chúa Giêsu, ông sai vài người kỳ lão Do-thái đi xin Người đến cứu chữa đầy tớ ông. Họ đến gần Chúa Giêsu và van xin Người rằng: “Ông ta đáng được Thầy ban cho ơn đó, vì thật ông yêu mến dân ta, và chính ông đã xây cất hội đường cho chúng ta”. Chúa Giêsu đi với họ, và khi Người còn cách nhà viên sĩ quan không bao xa, thì ông này sai mấy người bạn đến thưa Người rằng: “Lạy Thầy, không dám phiền Thầy hơn nữa, vì tôi không xứng đáng được Thầy vào nhà tôi, cũng như tôi nghĩ tôi không xứng đáng đi mời Thầy, nhưng xin Thầy phán một lời, thì đầy tớ tôi được lành mạnh. Vì tôi cũng chỉ là một sĩ quan cấp dưới, (tuy nhiên) tôi có những lính dưới quyền tôi, tôi bảo người này đi, thì nó đi; bảo người khác lại, thì nó lại; và bảo đầy tớ tôi làm cái này, thì nó làm”.\rNghe nói thế, Chúa Giêsu ngạc nhiên và quay lại nói với đám đông theo Người rằng: “Ta nói thật với các ngươi, cả trong dân Israel, Ta cũng chẳng thấy lòng tin mạnh mẽ như vậy”. Và những người được sai đi, khi về tới nhà, thấy tên đầy tớ lành mạnh.","end":"Ðó là lời Chúa"}},
+        "5242": {"firstReading":{"excerpt":"(Năm II) 1 Cr 12, 12-14. 27-31a","info":"“Anh em là thân xác Chúa Kitô, và là chi thể của chỉ thể”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, như thân xác là một, mà có nhiều chi thể, và tất cả các chi thể tuy nhiều, nhưng chỉ là một thân xác, thì Chúa Kitô cũng vậy. Vì chưng, trong một Thánh Thần, tất cả chúng ta chịu phép rửa để làm thành một thân xác, cho dầu Do-thái hay Hy-lạp, tự do hay nô lệ, và tất cả chúng ta cùng uống trong một Thánh Thần. Vì thân xác không chỉ gồm một chi thể, mà là nhiều chi thể.\rPhần anh em, anh em là thân xác Chúa Kitô và là chi thể Người, mỗi người theo phận sự mình. Có những người Thiên Chúa đã thiết lập trong Hội thánh, trước hết là các Tông đồ, thứ đến là các tiên tri, thứ ba là các tiến sĩ. Kế đến là quyền làm phép lạ, các ơn chữa bệnh, các việc từ thiện, quản trị, nói nhiều thứ tiếng. Vậy tất cả mọi người là Tông đồ ư? Tất cả là tiên tri ư? Tất cả là tiến sĩ ư? Tất cả được ơn làm phép lạ ư? Tất cả được ơn chữa bệnh ư? Tất cả nói nhiều thứ tiếng ư? Tất cả được ơn diễn giải ư? Anh em hãy cần mẫn sao cho được những ân điển cao trọng hơn.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","response":"Ðáp: Ta là dân tộc, là đoàn chiên Chúa chăn nuôi (c. 3c).","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Thiên Chúa, hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan vơi lòng hân hoan khoái trá.","Xướng:Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta và ta thuộc quyền sở hữu của Người. Ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Hãy vào trụ quan nhà Người với lời khen ngợi, vào hành lang với khúc ca vui; hãy tán dương, hãy chúc tụng danh Người.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn thế hệ."]},"alleluia":{"verse":"Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, con xưng tụng Cha, vì Cha đã mạc khải những mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia.  (Hoặc đọc: ) Alleluia, alleluia. Vị ngôn sứ vĩ đại đã xuất hiện giữa chúng ta, và Thiên Chúa đã viếng thăm dân Người.- Alleluia."},"gospel":{"excerpt":"Lc 7, 11-17","info":"“Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đến một thành gọi là Naim. Các môn đệ và đám đông dân chúng cùng đi với Người. Khi Người đến gần cửa thành, thì gặp người ta đang khiêng đi chôn người con trai duy nhất của một bà goá kia và có đám đông dân thành đi đưa xác với mẹ nó. Trông thấy bà, Chúa động lòng thương và bảo bà rằng: “Ðừng khóc nữa”. Ðoạn tiến lại gần, Người chạm đến quan tài và những người khiêng đứng lại. Bấy giờ Người phán: “Hỡi thanh niên, Ta truyền cho ngươi hãy chỗi dậy”. Người chết liền ngồi lên và bắt đầu nói. Rồi Người trao lại cho mẹ nó.\rMọi người đều sợ hãi và ngợi khen Thiên Chúa rằng: “Một tiên tri cao cả đã xuất hiện giữa chúng ta, và Thiên Chúa đã thăm viếng dân Người”. Và việc này đã loan truyền danh tiếng Người trong toàn cõi Giuđêa và khắp vùng lân cận.","end":"Ðó là lời Chúa"}},
+        "5243": {"firstReading":{"excerpt":"(Năm II) 1 Cr 12, 31 – 13, 13","info":"“Ðức tin, đức cậy, đức mến vẫn tồn tại, nhưng đức mến là trọng hơn cả”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, anh em hãy cầu mong những ơn cao trọng hơn. Và tôi chỉ bảo anh em một con đường hoàn hảo nhất. Nếu tôi nói được các tiếng của loài người và thiên thần, mà tôi không có bác ái, thì tôi chỉ là tiếng đồng la vang dội hoặc não bạt vang động. Và nếu tôi được nói tiên tri, thông biết mọi mầu nhiệm và mọi khoa học; nếu tôi có đầy lòng tin, đến nỗi chuyển dời được núi non, mà không có bác ái, thì tôi vẫn là không. Nếu tôi phân phát hết gia tài để nuôi kẻ nghèo khó, nếu tôi nộp mình để chịu thiêu đốt, mà tôi không có bác ái, thì không làm ích gì cho tôi.\rBác ái thì kiên tâm, nhân hậu. Bác ái không đố kỵ, không khoác lác, không kiêu hãnh, không ích kỷ, không nổi giận, không suy tưởng điều xấu, không vui mừng trước bất công, nhưng chia vui cùng chân lý. Bác ái tha thứ tất cả, tin tưởng tất cả, trông cậy tất cả, chịu đựng tất cả.\rBác ái không khi nào qua đi, ơn tiên tri sẽ bị huỷ diệt, ơn ngôn ngữ sẽ chấm dứt, ơn thông minh sẽ biến mất. Vì chưng chúng ta hiểu biết có giới hạn, chúng ta nói tiên tri có giới hạn, nhưng khi điều vẹn toàn đến, thì điều có giới hạn sẽ biến đi. Khi còn bé nhỏ, tôi nói như trẻ nhỏ, suy tưởng như trẻ nhỏ, lý luận như trẻ nhỏ; nhưng khi tôi đã trưởng thành, tôi loại bỏ những gì là trẻ nhỏ. Hiện giờ, chúng ta thấy mờ mịt qua tấm gương, nhưng lúc bấy giờ, diện đối diện. Hiện giờ, tôi biết có giới hạn, nhưng lúc bấy giờ, tôi sẽ biết như tôi được biết. Hiện giờ, đức tin, đức cậy, đức mến, tất cả ba đều tồn tại, nhưng trong ba nhân đức, đức mến là trọng hơn cả.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 2-3. 4-5. 12 và 22","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình (c. 12b).","verses":["Xướng: Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa. Hãy ca mừng Người bài ca mới, hát mừng Người với tiếng râm ran.","Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng Chúa.","Xướng: Phúc thay quốc gia mà Chúa là Chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Lạy Chúa, xin đổ lòng từ bi xuống trên chúng con, theo như chúng con tin cậy ở nơi Ngài."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Lc 7, 31-35","info":"“Chúng tôi đã thổi sáo mà các anh không nhảy múa, chúng tôi đã hát những điệu bi ai mà các anh không khóc”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán rằng: “Ta sẽ phải nói những người của thế hệ này giống ai đây? Họ giống ai? Họ giống như những đứa trẻ ngồi ngoài đường phố gọi và nói với nhau rằng:\r“Chúng tôi đã thổi sáo cho các anh, mà các anh không nhảy múa.\r“Chúng tôi đã hát những điệu bi ai, mà các anh không khóc”.\rBởi vì khi Gioan Tẩy Giả đến, không ăn bánh, không uống rượu, thì các ngươi bảo: “Người bị quỷ ám”. Khi Con Người đến có ăn có uống, thì các ngươi lại nói: “Kìa con người mê ăn tham uống, bạn bè với quân thu thuế và phường tội lỗi”. Nhưng sự khôn ngoan đã được minh chính bởi tất cả con cái mình”.","end":"Ðó là lời Chúa"}},
+        "5244": {"firstReading":{"excerpt":"(Năm II) 1 Cr 15, 1-11","info":"“Chúa hiện ra với Giacôbê, rồi với tất cả các Tông đồ”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, tôi xin nhắc lại cho anh em Tin Mừng mà tôi đã rao giảng cho anh em, và anh em đã lãnh nhận và đang tin theo, nhờ đó anh em được cứu độ, nếu anh em tuân giữ lời lẽ tôi đã rao giảng cho anh em, bằng không, anh em đã tin cách vô ích. Tôi đã rao truyền cho anh em trước tiên điều mà chính tôi đã nhận lãnh: đó là Ðức Kitô đã chết vì tội lỗi chúng ta, đúng theo như lời Thánh Kinh. Người được mai táng và ngày thứ ba Người đã sống lại đúng theo như lời Thánh Kinh. Người đã hiện ra với ông Kêpha, rồi với mười một vị. Sau đó, Người đã hiện ra với hơn năm trăm anh em trong một lúc; nhiều người trong số anh em đó hãy còn sống tới nay, nhưng có vài người đã chết. Thế rồi Người hiện ra với Giacôbê, rồi với tất cả các Tông đồ. Sau cùng, Người cũng hiện ra với chính tôi như đứa con sinh non.\rTôi vốn là kẻ hèn mọn nhất trong các tông đồ, và không xứng đáng được gọi là tông đồ, vì tôi đã bắt bớ Hội thánh của Thiên Chúa. Nhưng nay tôi là người thế nào là nhờ ơn Thiên Chúa, và ơn của Người không vô ích nơi tôi, nhưng tôi đã chịu khó nhọc nhiều hơn tất cả các đấng: song không phải tôi, mà là ơn của Thiên Chúa ở với tôi. Dù tôi, dù là các đấng, chúng tôi đều rao giảng như thế cả, và anh em cũng đã tin như vậy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 117, 1-2. 16ab-17. 28","response":"Ðáp: Hãy cảm tạ Chúa, vì Chúa hảo tâm (c. 1a).","verses":["Xướng: Hãy cảm tạ Chúa, vì Chúa hảo tâm, vì đức từ bi của Người muôn thuở. Hỡi nhà Israel, hãy xướng lên: “Ðức từ bi của Người muôn thuở”.","Xướng: Tay hữu Chúa đã hành động mãnh liệt, tay hữu Chúa đã cất nhắc tôi lên. Tôi không chết, nhưng tôi sẽ sống và tôi sẽ loan truyền công cuộc của Chúa.","Xướng: Chúa là Thiên Chúa của con và con cảm tạ Chúa, lạy Chúa con, con hoan hô chúc tụng Ngài."]},"alleluia":{"verse":"Tv 118, 135","content":"alleluia! – Xin tỏ cho tôi tớ Chúa thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 7, 36-50","info":"“Tội bà rất nhiều mà đã được tha rồi, vì bà đã yêu mến nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có một người biệt phái kia mời Chúa Giêsu đến dùng bữa với mình; Người vào nhà người biệt phái và vào bàn ăn. Chợt có một người đàn bà tội lỗi trong thành, nghe biết Người đang dùng bữa trong nhà người biệt phái, liền mang đến một bình bạch ngọc đựng thuốc thơm. Bấy giờ bà đứng phía chân Người, khóc nức nở, nước mắt ướt đẫm chân Người, bà lấy tóc lau, rồi hôn chân và xức thuốc thơm. Thấy thế, người biệt phái đã mời Người, tự nghĩ rằng: “Nếu ông này là tiên tri thì phải biết người đàn bà đang động đến mình là ai, và thuộc hạng người nào chứ: là một đứa tội lỗi (mà)!” Nhưng Chúa Giêsu lên tiếng bảo ông rằng: “Hỡi Simon, Tôi có điều muốn nói với ông”. Simon thưa: “Xin Thầy cứ nói”.\r“Một người chủ nợ có hai con nợ, một người nợ năm trăm đồng, người kia nợ năm mươi. Vì cả hai không có gì trả, nên chủ nợ tha cho cả hai. Vậy trong hai người đó, người nào sẽ yêu chủ nợ nhiều hơn?” Simon đáp: “Tôi nghĩ là kẻ đã được tha nhiều hơn”. Chúa Giêsu bảo ông: “Ông đã xét đoán đúng”.\rVà quay lại phía người đàn bà, Người bảo Simon: “Ông thấy người đàn bà này chứ? Tôi đã vào nhà ông, ông đã không đổ nước rửa chân Tôi, còn bà này đã lấy nước mắt rửa chân Tôi, rồi lấy tóc mình mà lau. Ông đã không hôn chào Tôi, còn bà này từ lúc vào không ngớt hôn chân Tôi. Ông đã không xức dầu trên đầu Tôi, còn bà này đã lấy thuốc thơm xức chân Tôi. Vì vậy, Tôi bảo ông, tội bà rất nhiều mà đã được tha rồi, vì bà đã yêu mến nhiều. Kẻ được tha ít, thì yêu mến ít”.\rRồi Người bảo người đàn bà: “Tội con đã được tha rồi”. Những người đồng bàn liền nghĩ trong lòng rằng: “Ông này là ai mà lại tha tội được?” Và Người nói với người đàn bà: “Ðức tin con đã cứu con, con hãy về bình an”.","end":"Ðó là lời Chúa"}},
+        "5245": {"firstReading":{"excerpt":"(Năm II) 1 Cr 15, 12-20","info":"“Nếu Ðức Kitô đã không sống lại, thì đức tin của anh em cũng vô giá trị”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, nếu chúng tôi rao giảng rằng Ðức Kitô đã từ cõi chết sống lại, làm sao trong anh em lại có người dám nói: không có vấn đề kẻ chết sống lại? Nếu kẻ chết không sống lại, thì Ðức Kitô cũng đã không sống lại. Mà nếu Ðức Kitô đã không sống lại, thì lời giảng của chúng tôi sẽ nên trống rỗng, và Ðức Tin của anh em cũng ra trống rỗng. Vì chưng nếu kẻ chết không sống lại, thì chúng tôi bị coi là những chứng nhân giả dối về Thiên Chúa, vì lẽ chúng tôi đã làm chứng nghịch với Thiên Chúa rằng: Chúa đã phục sinh Ðức Kitô, khi mà Chúa đã không làm cho Người sống lại. Bởi chưng nếu những kẻ chết không sống lại, thì Ðức Kitô cũng đã không sống lại. Và nếu Ðức Kitô đã không sống lại, thì đức tin của anh em cũng vô giá trị, vì anh em vẫn còn ở trong tội lỗi. Vậy ngay cả những người đã an giấc trong Ðức Kitô cũng hư vong. Nếu chúng ta chỉ hy vọng vào Ðức Kitô trong đời sống hiện tại mà thôi, thì chúng ta là những người đáng thương hại nhất.\rNhưng kỳ thực Ðức Kitô đã sống lại, Người là đầu mùa những người đã an giấc ngàn thu.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 16, 1. 6-7. 8b và 15","response":"Ðáp: Lạy Chúa, khi thức giấc, con no thoả nhìn chân dung Chúa (c. 15b).","verses":["Xướng: Lạy Chúa, xin nghe điều chính nghĩa của con, xin để ý đến lời con kêu cứu, lắng tai nghe tiếng con thốt ra từ cặp môi chân thành!","Xướng: Con kêu van Ngài, bởi Ngài nhậm lời con, lạy Chúa, xin ghé tai về bên con, xin nghe rõ tiếng con. Xin tỏ ra đức từ bi lạ lùng của Chúa, là Ðấng giải thoát khỏi bọn đối phương, những ai tìm nương tựa tay hữu của Ngài.","Xướng: Xin che chở con trong bóng cánh tay Ngài. Phần con, nhờ công chính, sẽ được thấy thiên nhan, khi thức giấc, con no thoả nhìn chân dung Chúa."]},"alleluia":{"verse":"Tv 118, 36a và 29b","content":"alleluia! – Lạy Chúa, xin nghiêng lòng con theo lời Chúa răn bảo, và xin rộng tay ban luật pháp của Chúa cho con. – Alleluia."},"gospel":{"excerpt":"Lc 8, 1-3","info":"“Có mấy phụ nữ đi với Người và họ đã lấy của cải mình mà giúp Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa rảo qua các thành thị và xóm làng, giảng dạy và loan báo Tin Mừng nước Thiên Chúa. Có nhóm Mười Hai cùng đi với Người, cũng có cả mấy người phụ nữ đã được chữa khỏi tà thần và bệnh tật: là bà Maria cũng gọi là Mađalêna, người đã được trừ khỏi bảy quỷ ám, bà Gioanna vợ của Chusa, viên quản lý của Hêrôđê, bà Susanna và nhiều bà khác; những bà này đã lấy của cải mình mà giúp Người.","end":"Ðó là lời Chúa"}},
+        "5246": {"firstReading":{"excerpt":"(Năm II) 1 Cr 15, 35-37. 42-49","info":"“Gieo xuống trong mục nát, sống lại trong bất hủ”.","title":"Trích thư thứ nhất của Thánh Phaolô Tông đồ gửi tín hữu Côrintô.","content":"Anh em thân mến, có người sẽ nói: những người chết sống lại thế nào? Họ lấy thân xác nào mà đến? Hỡi kẻ khờ dại! Vật ngươi gieo xuống, nếu nó không chết trước đã, thì sẽ không sống được; và vật gì ngươi gieo xuống, không phải là hình sẽ có, nhưng chỉ là một hạt trơ trụi, chẳng hạn như hạt lúa mì hay bất cứ hạt gì khác. Việc kẻ chết sống lại cũng thế: gieo xuống trong mục nát, sống lại trong bất hủ. Gieo xuống trong hèn mạt, sống lại trong vinh quang. Gieo xuống trong yếu đuối, sống lại trong khoẻ mạnh. Gieo xuống là xác phàm, sống lại là xác thiêng.\rVà nếu có xác phàm thì cũng có xác thiêng, như lời chép rằng: “Ađam cũ là người có sự sống, còn Ađam mới thì có thần trí ban sự sống. Nhưng điều có trước, không phải thuộc tinh thần, song là điều thuộc thể xác, rồi mới đến cái thuộc tinh thần. Người thứ nhất bởi đất mà ra, thì thuộc địa giới; còn người thứ hai bởi trời mà đến, thì thuộc thiên giới. Người thuộc địa giới đó thế nào, thì những người khác thuộc địa giới cũng vậy; và người thuộc thiên giới đó thế nào, thì những người khác thuộc thiên giới cũng vậy”. Bởi thế, như chúng ta đã mang hình ảnh của người thuộc địa giới, thì chúng ta cũng sẽ mang hình ảnh người thiên quốc như vậy.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 55, 10c-11. 12-13","response":"Ðáp: Tôi sẽ bước đi trước nhan Thiên Chúa, trong ánh sáng của cõi nhân sinh (c. 13c).","verses":["Xướng: Tôi biết chắc điều này là Thiên Chúa phù trợ tôi. Nhờ ơn Thiên Chúa là Ðấng mà tôi ca tụng lời hứa, tôi tin cậy vào Thiên Chúa, tôi không kinh hãi; con người phàm kia làm chi hại được tôi.","Xướng: Ôi Thiên Chúa, con mắc nợ những điều con khấn cùng Ngài, con sẽ tiến dâng Ngài lễ vật bằng lời ca tụng. Vì Ngài đã cứu mạng con thoát khỏi tử thần, và cứu chân con khỏi quỵ ngã, để con được tiến thân trước nhan Thiên Chúa, trong ánh thiều quang của cõi nhân sinh."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa, và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: )Alleluia, alleluia. Hạnh phúc thay người thành tâm thiện chí, hằng ấp ủ lời Chúa trong lòng, nhờ kiên nhẫn mà sinh hoa kết quả. – Alleluia."},"gospel":{"excerpt":"Lc 8, 4-15","info":"“Hạt rơi trong đất tốt, là những người giữ lấy lời và nhờ kiên nhẫn, họ sinh được hoa trái”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có đông dân chúng tụ họp lại, và người ta từ các thị trấn đến cùng Chúa Giêsu. Người dùng dụ ngôn mà nói rằng: “Người gieo hạt giống ra đi gieo hạt giống mình. Và đang khi gieo, có hạt rơi xuống bên vệ đường, bị người ta chà đạp và chim trời đến ăn đi. Hạt khác rơi trên đá sỏi, vừa mọc lên liền héo đi, vì không có đất ẩm. Hạt khác rơi vào bụi gai, và gai góc cùng mọc lên, bóp nghẹt nó. Hạt khác rơi vào đất tốt, đã mọc lên và kết quả gấp trăm”.\rKhi nói những lời đó, Người kêu lên rằng: “Ai có tai để nghe thì hãy nghe!”. Bấy giờ các môn đệ hỏi Người dụ ngôn đó ý nghĩa thế nào. Người nói rằng: “Phần các con, thì cho các con biết những mầu nhiệm Nước Thiên Chúa; đối với người khác, thì dùng dụ ngôn, để chúng xem mà không thấy, nghe mà không hiểu. Dụ ngôn đó có nghĩa thế này: Hạt giống là lời Thiên Chúa. Những hạt rơi bên vệ đường, tức là những người đã nghe, nhưng rồi quỷ tới và cướp lời khỏi lòng họ, kẻo họ tin mà được cứu độ. Những hạt rơi trên đá sỏi là những người, khi nghe thì vui vẻ đón nhận lời Chúa, nhưng họ không đâm rễ, họ chỉ tin tưởng nhất thời, và khi đến giờ thử thách, thì tháo lui. Hạt rơi vào bụi gai, là những người đã nghe, nhưng khi đi đường, những mối lo nghĩ, sự giàu có và thú vui của đời sống bóp nghẹt và họ không sinh hoa kết quả. Còn như hạt rơi trong đất tốt, là những người nghe lời với tấm lòng tốt lành và thiện hảo, họ giữ lấy và nhờ kiên nhẫn, họ sinh được hoa trái”.","end":"Ðó là lời Chúa"}}
+    }
+});
@@ -0,0 +1,41 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year2-ordinary-5", {
+    "ORDINARY_Y2": {
+        "5251": {"firstReading":{"excerpt":"(Năm II) Cn 3, 27-34 {hoặc 27-35}","info":"“Chúa ghê tởm những kẻ lừa dối”.","title":"Trích sách Châm Ngôn.","content":"Hỡi con, con chớ ngăn cấm người có thể làm việc lành; nếu con làm được việc lành, thì chính con hãy làm. Con chớ nói với người bạn của con rằng: “Hãy đi rồi trở lại, mai ta sẽ cho ngươi”, khi con có thể cho ngay.\rCon chớ mưu toan gây ác cho bạn hữu của con, khi nó tin tưởng vào con. Con chớ cạnh tranh với người ta cách vô cớ, khi chính người đó không làm điều gì ác cho con. Con chớ ganh tị với người bất chính, và chớ noi theo đường lối của nó. Vì Chúa ghê tởm những kẻ lừa dối, và Chúa ở thân mật với những kẻ đơn sơ. Chúa gửi đến nhà kẻ gian ác sự khó nghèo, còn nhà người công chính sẽ được chúc phúc. Chính Chúa nhạo báng những kẻ gian dối, và ban ơn cho những kẻ hiền lành. [Người khôn ngoan sẽ thừa hưởng vinh quang, nhưng phường ngu xuẩn sẽ chuốc lấy ô nhục.]","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","response":"Ðáp: Lạy Chúa, người công chính sẽ cư ngụ trên núi thánh Chúa (c. 1b).","verses":["Xướng: Người sống thanh liêm và thực thi công chính, và trong lòng suy nghĩ điều ngay, và lưỡi không bịa lời vu khống.","Xướng: Người không làm ác hại đồng liêu, cũng không làm nhục cho ai lân cận. Người coi rẻ đứa bất nhân, nhưng kính yêu những ai tôn sợ Chúa..","Xướng: Người không xuất tiền đặt nợ thu lời, cũng không ăn hối lộ hại người hiền lương. Người thực thi những điều kể đó, thì muôn đời chẳng có lung lay."]},"alleluia":{"verse":"Gc 1, 21","content":"alleluia! – Anh em hãy khiêm nhu nhận lãnh lời giao ước trong lòng; lời đó có thể cứu thoát linh hồn anh em. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! – Ánh sáng của anh em phải chiếu giãi trước mặt thiên hạ, để họ thấy những việc tốt đẹp anh em làm mà tôn vinh Cha của anh em. – Alleluia."},"gospel":{"excerpt":"Lc 8, 16-18","info":"“Ðặt đèn trên giá đèn, để những ai đi vào đều thấy sự sáng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng dân chúng rằng: “Không ai thắp đèn rồi lấy hũ che lại, hay đặt dưới gầm giường: nhưng đặt nó trên giá đèn, để những ai đi vào đều thấy ánh sáng. Vì chẳng có gì kín nhiệm mà không bị tỏ ra, và không có gì ẩn giấu mà không bị lộ ra cho người ta biết. Vậy các ngươi hãy ý tứ xem các ngươi nghe thế nào! Vì ai có, sẽ được cho thêm; còn ai không có, cả điều mình tưởng có cũng sẽ bị lấy đi”.","end":"Ðó là lời Chúa"}},
+        "5252": {"firstReading":{"excerpt":"(Năm II) Cn 21, 1-6. 10-13","info":"“Những câu Cách Ngôn khác nhau”.","title":"Trích sách Châm Ngôn.","content":"Lòng vua ở trong tay Chúa, như những dòng nước chảy, Người muốn hướng nó về đâu tuỳ ý Người. Mọi đường lối của người ta đối với họ là ngay thẳng, nhưng Chúa cân nhắc tâm can. Thực hành công bình và bác ái, thì đẹp lòng Chúa hơn là hy lễ. Mắt tự cao là lòng kiêu ngạo: đèn kẻ gian ác là tội lỗi. Toan tính người cần mẫn luôn dẫn tới sự dồi dào, còn mọi kẻ biếng nhác luôn gặp nghèo khó. Ai dùng lưỡi gian dối thu tích kho tàng, là người hư hốt vô tâm, nó sẽ rơi vào lưới sự chết.\rTâm hồn người tội ác mơ ước sự dữ, nó không thương xót người lân cận. Khi kẻ hung bạo bị sửa phạt thì người bé nhỏ sẽ khôn ngoan hơn, và nếu nó theo người khôn ngoan, nó sẽ được thông minh. Người công chính nhìn xem lòng kẻ tội ác, để cứu nó thoát khỏi tai hoạ. Ai bịt tai không nghe tiếng người nghèo khó, thì lúc chính nó kêu cầu, cũng chẳng ai nghe.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 1. 27. 30. 34. 35. 44","response":"Ðáp: Lạy Chúa, xin hướng dẫn con vào đường lối chỉ thị Ngài (c. 35a).","verses":["Xướng: Phúc đức những ai theo đường lối tinh tuyền, họ tiến thân trong luật pháp của Chúa.","Xướng: Xin cho con am hiểu đường lối huấn lệnh của Chúa, để con suy gẫm các điều kỳ diệu của Ngài.","Xướng: Con đã chọn con đường chân lý, con quyết tâm theo các thánh chỉ của Ngài.","Xướng: Xin dạy con, để con vâng theo luật pháp Ngài, và để con hết lòng vâng theo luật đó.","Xướng: Xin hướng dẫn con vào đường lối chỉ thị Ngài, vì chính trong đường lối này con sung sướng.","Xướng: Con sẽ tuân giữ luật Pháp Chúa luôn luôn, cho tới muôn ngàn đời và mãi mãi."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay kẻ lắng nghe và tuân giữ lời Thiên Chúa.- Alleluia."},"gospel":{"excerpt":"Lc 8, 19-21","info":"“Mẹ và anh em Ta là những người nghe lời Thiên Chúa và đem ra thực hành”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, mẹ và anh em Chúa Giêsu đến tìm Người, nhưng vì đám đông, nên không thể đến gần Người được. Người ta báo tin cho Người rằng: “Có mẹ và anh em Thầy đứng ở ngoài muốn gặp Thầy”. Người trả lời với họ rằng: “Mẹ và anh em Ta là những người nghe lời Thiên Chúa và đem ra thực hành”.","end":"Ðó là lời Chúa"}},
+        "5253": {"firstReading":{"excerpt":"(Năm II) Cn 30, 5-9","info":"“Xin chớ để con ăn mày và cũng đừng để con giàu có: xin chỉ ban cho con ăn dùng vừa đủ”.","title":"Trích sách Châm Ngôn.","content":"Mọi lời Thiên Chúa như luyện trong lửa, là thuẫn che chở kẻ nương tựa vào Người. Ngươi chớ thêm điều gì vào lời Chúa, kẻo ngươi bị trách cứ và bị coi là kẻ gian dối. Con xin Chúa hai điều này và xin đừng từ chối trước khi con chết: Xin hãy loại xa con sự giả trá và lời gian dối. Xin chớ để con ăn mày và cũng đừng để con giàu có: xin chỉ ban cho con ăn dùng vừa đủ: kẻo khi no đầy, con bị mê hoặc mà chối Chúa rằng: Chúa là ai? Hoặc vì túng thiếu con đi ăn trộm và làm ố danh Thiên Chúa của con.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 29. 72. 89. 101. 104. 163","response":"Ðáp: Lời Chúa là đèn soi tỏ dưới bước chân con (c. 105a).","verses":["Xướng: Xin đưa con xa cách con đường gian dối, và rộng tay ban luật pháp của Ngài cho con.","Xướng: Ðối với con, luật pháp do miệng Chúa đáng chuộng hơn vàng bạc châu báu muôn ngàn.","Xướng: Thân lạy Chúa, cho tới đời đời kiếp kiếp, lời Chúa vẫn còn đó như cõi trời cao.","Xướng: Con kiềm hãm con xa mọi điều gian ác, để giữ trọn những lời răn dạy của Ngài.","Xướng: Nhờ huấn lệnh Ngài con trở nên minh mẫn, bởi thế con ghét mọi đường lối gian tà.","Xướng: Con ghét và ghê tởm điều gian dối, con yêu chuộng luật pháp của Ngài."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 9, 1-6","info":"“Người sai các ông đi rao giảng nước Thiên Chúa và chữa lành bệnh nhân”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu gọi mười hai Tông đồ lại, ban cho các ông sức mạnh và quyền năng trên mọi ma quỷ và được chữa lành các bệnh tật. Ðoạn Người sai các ông đi rao giảng nước Thiên Chúa và chữa lành bệnh nhân. Người bảo các ông rằng: “Khi đi đàng, các con đừng mang gì cả, chớ mang gậy và bị, bánh và tiền, cũng đừng mặc hai áo. Các con vào nhà nào, thì hãy ở lại đó, và đừng rời khỏi nơi ấy. Những ai không tiếp đón các con, thì khi rời bỏ thành đó, các con hãy giũ cả bụi chân lại, để làm chứng tố cáo họ”. Các ông liền đi rảo khắp các làng mạc, rao giảng Tin Mừng, và chữa lành bệnh tật khắp nơi.","end":"Ðó là lời Chúa"}},
+        "5254": {"firstReading":{"excerpt":"(Năm II) Gv 1, 2-11","info":"“Chẳng có chi mới lạ dưới mặt trời”.","title":"Trích sách Giảng Viên.","content":"Giảng viên đã nói: Phù vân trên mọi phù vân: phù vân trên mọi phù vân, và mọi sự đều là phù vân. Ích lợi gì cho con người làm lụng vất vả dưới mặt trời? Một thế hệ qua đi, một thế hệ khác lại đến: nhưng địa cầu vẫn đứng vững muôn đời. Mặt trời mọc lên rồi lại lặn xuống, trở về chỗ cũ nơi nó lại mọc lên. Gió thổi về hướng nam, rồi quay về hướng bắc; nó thổi xoay chiều khắp bốn phương, rồi quay về vòng cũ.\rMọi sông ngòi đều chảy ra biển mà biển không đầy tràn: nước sông trở về chỗ cũ rồi lại chảy đi.\rMuôn vật đều phải làm việc vất vả, và không ai có thể cắt nghĩa tại sao. Mắt xem mãi cũng không chán, tai nghe hoài cũng không thoả.\rSự đã qua là gì? Chính nó là sự sẽ có. Sự đã xảy ra là gì? Chính nó là sự sẽ xảy ra. Chẳng có chi mới lạ dưới mặt trời, cũng chẳng ai nói được rằng: “Ðây cái này mới”. Vì nó đã có từ lâu đời trước chúng ta. Người ta cũng chẳng còn nhớ đến tổ tiên và những con cháu sau này; cũng chẳng nhớ đến những người sẽ đến sau.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 3-4. 5-6. 12-13. 14 và 17","response":"Ðáp: Thân lạy Chúa, Ngài là chỗ chúng con dung thân, từ đời nọ trải qua đời kia (c. 1).","verses":["Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Ngài phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Chúa khiến họ trôi đi, họ như kẻ mơ màng buổi sáng, họ như cây cỏ mọc xanh tươi. Ban sáng cỏ nở hoa và xanh tốt, buổi chiều nó bị xén đi và nó héo khô.","Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chớ còn để tới bao giờ? Xin tỏ lòng xót thương tôi tớ của Ngài.","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan trọn đời sống chúng con. Xin cho chúng con được hưởng ân sủng Chúa là Thiên Chúa chúng con, sự nghiệp tay chúng con làm ra, xin Ngài củng cố, xin Ngài củng cố sự nghiệp tay chúng con làm ra. – Ðáp."]},"alleluia":{"verse":"Tv 24, 4c và 5a","content":"alleluia! – Lạy Chúa, xin dạy bảo con về lối bước của Chúa và xin hướng dẫn con trong chân lý của Ngài. – Alleluia."},"gospel":{"excerpt":"Lc 9, 7-9","info":"“Ông Gioan đã bị trẫm chém đầu rồi, ông này là ai mà trẫm nghe đồn làm những điều như thế”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, quận vương Hêrôđê nghe biết tất cả các việc Chúa Giêsu đã làm thì phân vân, vì có kẻ nói rằng: “Ông Gioan đã từ cõi chết sống lại”; còn kẻ khác lại nói: “Ông Êlia đã hiện ra”; kẻ khác nữa nói rằng: “Một tiên tri thời xưa đã sống lại”. Nhưng Hêrôđê thì nói: “Ông Gioan trẫm đã chém đầu rồi. Ông này là ai mà trẫm nghe đồn làm những điều như thế?” và vua tìm cách gặp Người.","end":"Ðó là lời Chúa"}},
+        "5255": {"firstReading":{"excerpt":"(Năm II) Gv 3, 1-11","info":"“Vạn vật dưới bầu trời đều trải qua thời gian của chúng”.","title":"Trích sách Giảng Viên.","content":"Mọi sự đều có thì giờ của chúng. Vạn vật dưới bầu trời đều trải qua thời gian của chúng. Có thời gian sinh, thì cũng có thời gian chết. Có thời gian trồng xuống, thì cũng có thời gian nhổ lên cái đã trồng. Có thời gian giết chết, thì cũng có thời gian chữa lành. Có thời gian phá huỷ, thì cũng có thời gian xây dựng. Có thời gian khóc lóc, thì cũng có thời gian cười vui. Có thời gian than van, thì cũng có thời gian nhảy múa. Có thời gian rải đá, thì có thời gian thu lượm lại. Có thời gian gần gũi, thì cũng có thời gian xa cách. Có thời gian thâu hoạch, thì cũng có thời gian tiêu tán đi. Có thời gian gìn giữ, thì cũng có thời gian loại bỏ. Có thời gian xé rách, thì cũng có thời gian vá lại. Có thời gian thinh lặng, thì cũng có thời gian nói năng. Có thời gian yêu thương, thì cũng có thời gian giận ghét. Có thời gian chinh chiến, thì cũng có thời gian hoà bình.\rCon người còn được gì do công lao vất vả của mình? Tôi suy nghĩ về sự khổ cực mà Thiên Chúa đã để cho con cái loài người phải chịu đựng.\rChúa tác tạo vạn vật trong thời gian Chúa muốn, và trao phó thế gian cho loài người tranh giành, nhưng con người không hiểu được việc Thiên Chúa đã làm từ đầu đến cuối.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 143, 1a và 2abc. 3-4","response":"Ðáp: Ôi Ðá Tảng của con, chúc tụng Chúa! (c. 1a)","verses":["Xướng: Ôi Ðá Tảng của con, chúc tụng Chúa! Chúa là Tình Thương và là chiến lũy, là Ðấng phù trợ và giải phóng con. Chúa là khiên thuẫn, là chỗ con nương náu.","Xướng: Lạy Chúa, nhân loại là chi mà Chúa chăm nom, con người là chi mà Chúa thương nghĩ tới? Con người ta như hơi gió thoảng, đời người ta như bóng thoáng qua."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa, và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Lc 9, 18-22","info":"“Thầy là Ðấng Kitô của Thiên Chúa. Con Người phải chịu nhiều đau khổ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Việc xảy ra là khi Chúa Giêsu cầu nguyện riêng một nơi, và có các môn đệ ở với Người, thì Người hỏi các ông rằng: “Những đám dân chúng bảo Thầy là ai?” Các ông thưa rằng: “Người thì bảo là Gioan Tẩy giả, kẻ khác lại cho là Êlia, còn người khác thì cho là một trong các tiên tri thời xưa, đã sống lại”. Người lại hỏi các ông rằng: “Phần các con, các con bảo Thầy là ai?” Simon Phêrô thưa rằng: “Thầy là Ðấng Kitô của Thiên Chúa”. Và Người ngăn cấm các ông không được nói điều đó với ai mà rằng: “Con Người phải chịu nhiều đau khổ, bị các kỳ lão, các thượng tế, và các luật sĩ từ bỏ và giết chết, nhưng ngày thứ ba sẽ sống lại”.","end":"Ðó là lời Chúa"}},
+        "5256": {"firstReading":{"excerpt":"(Năm II) Gv 11, 9 – 12, 8","info":"“Trong những ngày thanh xuân, ngươi hãy nhớ đến Ðấng Tạo thành ngươi; trước khi tro bụi sẽ trở về đất và hồn sẽ trở về cùng Chúa”.","title":"Trích sách Giảng Viên.","content":"Hỡi thiếu niên, hãy hân hoan trong thời niên thiếu và tâm hồn ngươi hãy hưởng hạnh phúc trong những ngày thanh xuân, hãy sống theo đường lối tâm hồn ngươi, và theo cái nhìn của mắt ngươi. Nhưng ngươi hãy biết rằng Thiên Chúa sẽ xét xử ngươi về những điều đó. Ngươi hãy loại bỏ sự giận ghét khỏi lòng ngươi, và hãy khai trừ sự gian ác khỏi xác thịt ngươi: vì tuổi trẻ và khoái lạc đều là hư không.\rTrong ngày thanh xuân, ngươi hãy nhớ đến Ðấng Tạo thành ngươi, trước khi thời gian đau khổ tới và trước khi tới thời gian mà ngươi sẽ nói: “Tôi không thích”; trước khi mặt trời, ánh sáng, mặt trăng, tinh tú sẽ ra tối tăm, và trước khi mây đen kéo lại sau trận mưa, khi kẻ giữ nhà run sợ, khi những kẻ anh dũng khiếp nhược, khi còn ít bà xay bột cũng ngưng việc, khi mấy bà nhìn qua cửa sổ mà chẳng thấy gì, khi cửa phố phường khép lại và tiếng cối xay nhỏ dần, khi người ta nghe tiếng chim kêu mà chỗi dậy và tiếng hát của các thiếu nữ tắt dần đi, ở những nơi cao người ta run sợ và trên đường đi người ta cũng khiếp đảm.\rHạnh đào sẽ trổ hoa, châu chấu sẽ béo mập, cây phong điểu sẽ đâm chồi nảy lộc, vì con người sắp đi về nhà vĩnh cửu, và kẻ than khóc rảo quanh mọi phố phường.\rTrước khi dây bạc đứt tan, và bình vàng vỡ nát, chiếc vò bể tan bên bờ suối, trục quay nước giếng gãy tan tành, và tro bụi sẽ trở về đất, hồn sẽ trở về cùng Chúa, Ðấng đã tác tạo nó.\rGiảng viên đã nói: Phù vân trên mọi phù vân, và mọi sự đều là phù vân.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 89, 3-4. 5-6. 12-13. 14 và 17","response":"Ðáp: Thân lạy Chúa, Ngài là chỗ chúng con dung thân, từ đời nọ trải qua đời kia (c. 1).","verses":["Xướng: Thực ngàn năm ở trước thiên nhan, tựa hồ như ngày hôm qua đã khuất, như một đêm thức giấc cầm canh. Chúa khiến con người trở về bụi đất, Người phán: “Hãy trở về gốc, hỡi con người”.","Xướng: Chúa khiến họ trôi đi, họ như kẻ mơ màng buổi sáng, họ như cây cỏ mọc xanh tươi. Ban sáng cỏ nở hoa và xanh tốt, buổi chiều nó bị xén đi và nó héo khô.","Xướng: Xin dạy chúng con biết đếm ngày giờ, để chúng con luyện được lòng trí khôn ngoan. Lạy Chúa, xin trở lại, chớ còn để tới bao giờ? Xin tỏ lòng xót thương tôi tớ của Ngài.","Xướng: Xin cho chúng con sớm được no phỉ ân tình của Chúa, để chúng con mừng rỡ hân hoan trọn đời sống chúng con. Xin cho chúng con được hưởng ân sủng Chúa là Thiên Chúa chúng con; sự nghiệp tay chúng con làm ra, xin Ngài củng cố; xin Ngài củng cố sự nghiệp tay chúng con làm ra."]},"alleluia":{"verse":"Tv 114, 13cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia."},"gospel":{"excerpt":"Lc 9, 43b-45","info":"“Con Người sẽ phải bị nộp. Các ông không đám hỏi Người về lời ấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ðang lúc mọi người thán phục về tất cả các việc Chúa Giêsu làm, thì Người phán cùng các môn đệ rằng: “Phần các con, các con hãy ghi vào lòng những lời này là: Con Người sẽ phải bị nộp vào tay người đời”. Nhưng các ông không hiểu lời đó, vì nó còn bị che khuất, nên các ông không lĩnh hội được ý nghĩa, và các ông không dám hỏi Người về lời ấy.","end":"Ðó là lời Chúa"}},
+        "5261": {"firstReading":{"excerpt":"(Năm II) G 1, 6-22","info":"“Chúa ban cho, rồi Chúa lấy lại: nguyện danh Chúa được chúc tụng”.","title":"Trích sách ông Gióp.","content":"Một ngày nọ, con cái Thiên Chúa đến chầu truớc mặt Chúa, Satan cũng có mặt ở đó. Chúa hỏi Satan rằng: “Ngươi từ đâu đến?” Nó thưa lại rằng: “Tôi chạy vòng quanh trái đất và đi khắp mọi nơi”. Chúa hỏi nó rằng: “Chớ thì ngươi có lưu ý đến Gióp, tôi tớ Ta chăng? Trên trần gian, không một ai giống như y là con người ngay thật, công chính, kính sợ Thiên Chúa và xa lánh sự dữ”. Satan thưa lại cùng Chúa rằng: “Ðâu có phải Gióp kính sợ Thiên Chúa cách luống công? Chớ thì Chúa chẳng che chở quanh nó, nhà cửa nó và tất cả những gì thuộc về nó đó sao? Chớ thì Chúa chẳng chúc phúc các việc tay nó làm, và sản nghiệp nó gia tăng rợp đất đó sao? Nhưng Chúa hãy giơ tay Chúa lên một chút và chạm đến tất cả những gì nó đang có, ắt nó sẽ phỉ báng Chúa nhãn tiền”. Vậy Chúa bảo Satan rằng: “Ðây, tất cả những gì nó đang có đều nằm trong tay ngươi: chỉ trừ một điều là ngươi chớ chạm tay đến thân nó”. Satan liền lui ra khỏi mặt Chúa.\rMột ngày nọ, khi các con trai, con gái của ông Gióp đang dùng bữa uống rượu tại nhà anh cả, thì có kẻ đến báo tin cho ông Gióp rằng: “Các con bò đang kéo cày và các con lừa đang ăn cỏ bên cạnh, bỗng các người Sabêô xông đến cướp lấy hết, và dùng gươm giết các đầy tớ, chỉ một mình tôi chạy thoát về báo tin cho ông”. Khi nó còn đang nói, thì một người khác đến thưa rằng: “Lửa Thiên Chúa từ trời xuống thiêu huỷ hết bầy chiên và các đầy tớ, chỉ một mình tôi thoát được về báo tin cho ông”. Khi nó còn đang nói, thì một người khác đến thưa rằng: “Các người Calđêô chia làm ba toán xông vào cướp đoạt các con lạc đà, và còn dùng gươm giết các đầy tớ, chỉ một mình tôi trốn được chạy về báo tin cho ông”. Nó còn đang nói, thì đây một người khác bước vào thưa rằng: “Lúc các con trai, con gái của ông đang dùng bữa và uống rượu tại nhà anh cả, bỗng có gió mạnh từ hoang địa thổi đến, hắt vào bốn góc nhà, khiến nhà sụp đổ đè chết các con ông, chỉ một mình tôi thoát được về báo tin cho ông”. Bấy giờ ông Gióp chỗi dậy, xé áo mình ra, cạo trọc đầu, sấp mình xuống đất thờ lạy và thưa rằng: “Từ lòng mẹ, tôi sinh ra trần truồng, thì tôi cũng sẽ trở về đó trần truồng. Chúa ban cho, rồi Chúa lấy lại: như đẹp lòng Chúa thế nào, thì xin xảy đến như vậy: nguyện danh Chúa được chúc tụng!”\rTrước mọi thảm cảnh đó, ông Gióp không hé môi xúc phạm và không thốt lời ngu dại phạm đến Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 16, 1. 2-3. 6-7","response":"Ðáp: Xin Chúa ghé tai về bên con, và xin nghe rõ tiếng con (c. 6ab).","verses":["Xướng: Lạy Chúa, xin nghe điều chính nghĩa của con, xin để ý đến lời con kêu cứu, lắng tai nghe tiếng con thốt ra từ cặp môi chân thành! – Ðáp.","Xướng: Từ cái nhìn của Chúa hãy diễn ra sự phán quyết về con: vì mắt Ngài thấy rõ điều chân chính. Nếu Ngài lục soát lòng con, nếu ban đêm Ngài thăm viếng, nếu Ngài thử con trong lửa, Ngài sẽ không gặp điều gian ác ở nơi con. – Ðáp.","Xướng: Con kêu van Ngài, bởi Ngài nhậm lời con, lạy Chúa, xin ghé tai về bên con, xin nghe rõ tiếng con. Xin tỏ ra đức từ bi lạ lùng của Chúa, là Ðấng giải thoát khỏi bọn đối phương, những ai tìm nương tựa tay hữu của Ngài. – Ðáp."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 9, 46-50","info":"“Kẻ nào bé nhỏ nhất trong tất cả các con, đó là người cao trọng nhất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, các mộn đệ nghĩ ngợi trong lòng rằng ai trong các ông sẽ là người cao trọng nhất. Chúa Giêsu thấu biết tư tưởng trong lòng các ông, Người liền dẫn một trẻ nhỏ tới, để đứng bên cạnh Người, và bảo các ông rằng: “Hễ ai đón nhận trẻ nhỏ này vì danh Thầy, tức là đón nhận Thầy: mà hễ ai đón nhận Thầy, tức là đón nhận Ðấng đã sai Thầy. Vì kẻ nào bé nhỏ nhất trong tất cả các con, đó là người cao trọng nhất”.\rGioan lên tiếng thưa Người rằng: “Lạy Thầy, chúng con thấy một người kia lấy danh Thầy mà trừ quỷ, và chúng con đã ngăn cản nó, vì nó không theo Thầy cùng với chúng con”. Chúa Giêsu bảo ông rằng: “Các con chớ ngăn cản, vì ai không chống nghịch các con, tức là thuận với các con”.","end":"Ðó là lời Chúa"}},
+        "5262": {"firstReading":{"excerpt":"(Năm II) G 3, 1-3. 11-17. 20-23","info":"“Tại sao ban sự sáng cho kẻ khốn cực?”","title":"Trích sách ông Gióp.","content":"Gióp mở miệng nguyền rủa ngày mình sinh ra và nói rằng: “Hãy biến đi, ngày tôi đã sinh ra, và đêm có lời phán: ‘Con người chịu thai’. Tại sao tôi không chết trong lòng mẹ? Tại sao tôi không tắt thở ngay khi mới sinh ra? Tại sao có đầu gối đỡ lấy tôi và có vú cho tôi bú?\r“Chẳng như vậy thì bây giờ tôi được ngủ yên, và an nghỉ trong giấc điệp làm một với các vua chúa, với các quan quyền trên mặt đất, là những kẻ xây cất cho mình những lăng tẩm thanh vắng, hay là cùng với các công hầu lắm vàng nhiều bạc chất đầy nhà. Sao tôi không giống như thai sảo được giấu đi, để tôi không còn sống, hoặc như các trẻ không được xem thấy sự sáng. Nơi ấy kẻ hung ác hết khuấy phá, và kẻ mỏi mệt được yên nghỉ.\r“Tại sao ban sự sáng cho kẻ khốn cực, và ban sự sống cho những kẻ phải cay đắng trong tâm hồn? Những kẻ ấy mong chết mà lại không được chết, họ như những người đào mỏ tìm vàng. Khi họ tìm thấy nấm mồ, họ vui mừng hớn hở. Người chẳng tìm được lối đi, thì Thiên Chúa lấy sự tối tăm vây bọc nó tư bề”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 87, 2-3. 4-5. 6. 7-8","response":"Ðáp: Nguyện cho lời con cầu thấu đến tai Chúa (c. 3a).","verses":["Xướng: Lạy Chúa là Thiên Chúa của con, ban ngày con kêu van, ban đêm con than thở trước thiên nhan Ngài. Nguyện cho lời con cầu thấu đến tai Chúa, xin Chúa lắng tai nghe tiếng con kêu.","Xướng: Vì tâm hồn con đau khổ ê chề, và mạng sống con đã gần kề âm phủ. Con bị liệt vào số những kẻ đang bước xuống mồ, con đã trở nên như người tàn phế.","Xướng: Giường nằm của con kề những người đã chết, như giường của người bị giết nằm trong nấm mồ, họ là những người mà Chúa không còn nhớ tới, và họ không còn được Ngài săn sóc yêu thương.","Xướng: Ngài đã đặt con trong lỗ huyệt sâu, trong nơi u tối, trong vực thẳm. Cơn giận Chúa đè nặng trên người con, và Chúa vùi lấp con dưới sóng cả ba đào."]},"alleluia":{"verse":"Tv 18, 9","content":"alleluia! – Lạy Chúa, giới răn Chúa làm hoan lạc tâm can, mệnh lệnh Chúa sáng soi con mắt. – Alleluia."},"gospel":{"excerpt":"Lc 9, 51-56","info":"“Người cương quyết lên đường đi Giêrusalem”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Vì gần tới thời gian Chúa Giêsu phải cất khỏi đời này, Người cương quyết lên đường đi Giêrusalem, và sai những người đưa tin đi trước Người. Những người này lên đường vào một làng Samaria để chuẩn bị mọi sự cho Người. Nhưng ở đó người ta không đón tiếp Người, bởi Người đi lên Giêrusalem. Thấy vậy, hai môn đệ Giacôbê và Gioan thưa Người rằng: “Lạy Thầy, Thầy muốn chúng con khiến lửa bởi trời xuống thiêu huỷ chúng không?” Nhưng Người quay lại, quở trách các ông rằng: “Các con không biết thần trí nào xúi giục mình. Con Người đến không phải để giết, nhưng để cứu chữa người ta”. Và các Ngài đi tới một làng khác.","end":"Ðó là lời Chúa"}},
+        "5263": {"firstReading":{"excerpt":"(Năm II) G 9, 1-12. 14-16","info":"“Con người so sánh với Thiên Chúa đâu đáng được kể là người công chính”.","title":"Trích sách ông Gióp.","content":"Ông Gióp trả lời cùng các bạn hữu rằng: “Tôi biết thật như vậy, và biết thật con người so sánh với Thiên Chúa đâu đáng được kể là người công chính. Nếu con người muốn cãi lẽ với Chúa, thì một nghìn điều, nó không thể đáp lại một. Chúa thượng trí và quyền năng, ai đối địch với Chúa mà được bằng yên? Chúa xê dịch các núi đồi, và trong cơn thịnh nộ Người đánh đổ những kẻ không biết điều. Chúa khiến địa cầu chuyển động khỏi chỗ của nó, và các cột đất đều phải lung lay. Chúa truyền khiến mặt trời, thì nó không mọc lên, và Người cũng phong niêm các ngôi sao tinh tú. Chỉ một mình Chúa trải các tầng trời và bước đi trên sóng biển. Chúa tạo dựng sao bắc đẩu, sao sâm, sao mão và cung kín phương nam. Chúa tác tạo những điều trọng đại, mầu nhiệm và kỳ diệu không kể xiết.\rNếu Chúa đến cùng tôi, thì tôi không trông thấy Người, và nếu Người ra đi, tôi cũng chẳng hay biết. Nếu Chúa bất chợt hỏi han, thì ai trả lời Người cho được? Hoặc ai có thể hỏi rằng: “Tại sao Chúa làm như thế?” Vậy tôi là gì mà dám trả lời với Chúa và dùng lời mà nói với Người? Dù tôi có lẽ công chính, tôi cũng không dám trả lời, một van nài cùng Ðấng phán xét tôi. Khi Chúa nhậm lời tôi kêu cầu, tôi cũng không chắc Người nghe lời tôi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 87, 10bc-11. 12-13. 14-15","response":"Ðáp: Lạy Chúa, nguyện cho lời con cầu thấu đến tai Chúa (c. 3a).","verses":["Xướng: Lạy Chúa, con kêu lên Chúa mọi ngày, và con giang tay hướng về phía Chúa. Phải chăng Chúa còn làm những điều kỳ diệu cho người đã thác, hoặc giả những người chết sẽ sống lại và ngợi khen Ngài?","Xướng: Phải chăng người ta còn kể lại lòng nhân hậu Chúa trong mồ, và lòng trung thành Ngài trong nơi âm phủ? Những việc kỳ diệu của Chúa còn thấy được trong chỗ tối tăm, và ân sủng của Ngài trong nơi quên lãng?","Xướng: Phần con, lạy Chúa, con kêu lên Chúa, và tự bình minh lời nguyện của con sẽ tới tai Ngài. Lạy Chúa, nhân sao Chúa ghét bỏ linh hồn con, nhân sao Chúa ẩn mặt xa khuất khỏi con? –"]},"alleluia":{"verse":"Tv 118, 8ab","content":"alleluia! – Lạy Chúa, những giới răn Chúa được lập ra cho tới muôn đời, được ban hành một cách chân thành và đoan chính. – Alleluia."},"gospel":{"excerpt":"Lc 9, 57-62","info":"“Dù Thầy đi đâu, tôi cũng theo Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, đang lúc Chúa Giêsu và các môn đệ đi đường, thì có kẻ thưa người rằng: “Dù Thầy đi đâu, tôi cũng sẽ theo Thầy”. Chúa Giêsu bảo người ấy rằng: “Con chồn có hang, chim trời có tổ, Con Người không có nơi gối đầu”. Người bảo một kẻ khác rằng: “Hãy theo Ta”. Người ấy thưa: “Xin cho phép tôi đi chôn cha tôi trước đã”. Nhưng Người đáp: “Hãy để kẻ chết chôn kẻ chết; phần con, hãy đi rao giảng Nước Thiên Chúa”. Một người khác thưa Người rằng: “Lạy Thầy, tôi sẽ theo Thầy, nhưng cho phép tôi về từ giã gia đình trước đã”. Nhưng Chúa Giêsu đáp: “Ai đã tra tay vào cày mà còn ngó lại sau lưng thì không xứng đáng với Nước Thiên Chúa”.","end":"Ðó là lời Chúa"}},
+        "5264": {"firstReading":{"excerpt":"(Năm II) G 19, 21-27","info":"“Tôi biết rằng Ðấng Cứu Chuộc tôi hằng sống”.","title":"Trích sách ông Gióp.","content":"Ông Gióp nói: “Hỡi các bạn hữu của tôi, ít ra các anh cũng thương xót tôi, thương xót tôi, vì tay Chúa chạm đến tôi. Tại sao các anh như Thiên Chúa bắt bớ hành hạ tôi vậy, và tại sao các anh no chán thịt tôi? Có ai ghi chép giùm lời tôi, có ai viết nó vào sách, dùng bút sắt ghi trên lá chì, hay dùng đục chạm vào đá?\r“Vì tôi biết rằng Ðấng Cứu Chuộc tôi hằng sống và ngày sau hết tôi sẽ từ bụi đất sống lại, da sẽ bọc lại thân tôi, và trong xác thịt, tôi sẽ nhìn thấy Thiên Chúa tôi. Chính tôi sẽ nhìn thấy Người và mắt tôi sẽ trông thấy, chớ không phải ai khác: niềm hy vọng ấy đã chất chứa trong lòng tôi”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 7-8a. 8b-9abc. 13-14","response":"Ðáp: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh (c. 13).","verses":["Xướng: Lạy Chúa, xin nghe tiếng con kêu cầu, xin thương xót và nhậm lời con. Về Chúa, lòng con tự nhắc lời: “Hãy tìm ra mắt Chúa”.","Xướng: Và lạy Chúa, con tìm ra mắt Chúa, xin Chúa đừng ẩn mặt xa con, xin đừng xua đuổi tôi tớ Ngài trong thịnh nộ, Chúa là Ðấng phù trợ con, xin đừng hất hủi con.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa."]},"alleluia":{"verse":"1 Pr 1, 25","content":"alleluia! – Lời Chúa tồn tại muôn đời, đó là lời Tin Mừng đã rao giảng cho anh em. – Alleluia."},"gospel":{"excerpt":"Lc 10, 1-12","info":"“Sự bằng an của các con sẽ đến trên người ấy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa chọn thêm bảy mươi hai người nữa và sai các ông cứ từng hai người đi trước Người, đến các thành và các nơi mà chính Người sẽ tới. Người bảo các ông rằng: “Lúa chín đầy đồng mà thợ gặt thì ít; vậy các con hãy xin chủ ruộng sai thợ đến gặt lúa của Người. Các con hãy đi. Này Thầy sai các con như con chiên ở giữa sói rừng. Các con đừng mang theo túi tiền, bao bị, giày dép, và đừng chào hỏi ai dọc đường. Vào nhà nào, trước tiên các con hãy nói: “Bình an cho nhà này”. Nếu ở đấy có con cái sự bình an, thì sự bình an của các con sẽ đến trên người ấy. Bằng không, sự bình an lại trở về với các con. Các con ở lại trong nhà đó, ăn uống những thứ họ có, vì thợ đáng được trả công. Các con đừng đi nhà này sang nhà nọ.\r“Khi vào thành nào mà người ta tiếp các con, các con hãy ăn những thức người ta dọn cho. Hãy chữa các bệnh nhân trong thành và nói với họ rằng: “Nước Thiên Chúa đã đến gần các ngươi”. Khi vào thành nào mà người ta không tiếp đón các con, thì hãy ra giữa các phố chợ và nói: “Cả đến bụi đất thành các ngươi dính vào chân chúng tôi, chúng tôi cũng xin phủi trả lại các ngươi. Nhưng các ngươi hãy biết rõ điều này: Nước Thiên Chúa đã đến gần”. Thầy bảo các con, ngày ấy, thành Sôđôma sẽ được xử khoan dung hơn thành này”.","end":"Ðó là lời Chúa"}},
+        "5265": {"firstReading":{"excerpt":"(Năm II) G 38, 1. 12-21; 40, 3-5","info":"“Ngươi có xuống tận đáy biển và đi bách bộ dưới vực thẳm không?”","title":"Trích sách ông Gióp.","content":"Từ cơn gió lốc, Chúa đáp lời ông Gióp rằng: “Sau khi ngươi đã sinh ra, ngươi có ra lệnh cho bình minh, và chỉ chỗ cho rạng đông không? Ngươi có cầm giữ các phần cuối cùng trái đất, và xua đuổi khỏi địa cầu bọn gian ác không? Mặt đất trở nên như đất sét có đóng ấn và trải ra như chiếc áo. Bọn gian ác bị tước mất sự sáng, và cánh tay giơ cao bị bẻ gẫy.\r“Ngươi có xuống tận đáy biển, và đi bách bộ dưới vực thẳm không? Cửa tử thần có mở ra cho ngươi và ngươi có nhìn thấy tối tăm không? Ngươi có xem xét chiều rộng địa cầu không? Nếu ngươi đã hiểu biết, hãy chỉ mọi sự cho Ta. Sự sáng ở đàng nào và sự tối tăm ở nơi đâu, để ngươi dẫn dắt cả hai đến địa giới của chúng, và hiểu biết đường lối nhà chúng? Bấy giờ ngươi có biết ngươi sẽ sinh ra không? Và ngươi có biết rõ số ngày đời ngươi không?”\rÔng Gióp thưa lại cùng Chúa rằng: “Con nói lơ đãng, thì con trả lời thế nào được? Con để tay trên miệng con. Con đã nói một lần, chớ chi con đừng nói! Và lần thứ hai, con không nói thêm gì nữa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 138, 1-3. 7-8. 9-10. 13-14ab","response":"Đáp: Lạy Chúa, xin hướng dẫn con trong đường lối đời đời (c. 24b).","verses":["Xướng: Lạy Chúa, Ngài thăm dò và biết rõ con, Ngài biết con, lúc con ngồi, khi con đứng. Ngài hiểu thấu tư tưởng con tự đàng xa, khi con bước đi hay nằm nghỉ, Ngài thấy hết, Ngài để ý tới mọi đường lối của con.","Xướng: Con đi đâu để xa khuất được thần linh của Chúa? Con trốn đâu cho khỏi thiên nhan Ngài? Nếu con leo được lên trời, thì cũng có Ngài ngự đó; nếu con nằm dưới âm phủ, thì đây cũng có mặt Ngài.","Xướng: Nếu con mượn đôi cánh của hồng đông, và bay đến cư ngụ nơi biên cương biển cả, tại nơi đây cũng bàn tay Chúa dẫn dắt con, và tay hữu Ngài nắm giữ con.","Xướng: Chính Ngài đã nặn ra thận tạng con, đã dệt ra con trong lòng thân mẫu. Con ngợi khen Ngài đã tạo nên con lạ lùng như thế, vì công cuộc của Ngài thật diệu huyền."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! -Ngày hôm nay, anh em chứ cứng lòng, nhưng hãy nghe tiếng Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 10, 13-16","info":"“Ai tiếp đón Thầy, là tiếp đón Ðấng đã sai Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán rằng: “Khốn cho ngươi, hỡi Corozain, khốn cho ngươi, hỡi Bethsaiđa: vì nếu tại Tyrô và Siđon đã xảy ra những phép lạ thực hiện nơi các ngươi, thì từ lâu, những nơi đó đã mặc áo vải thô và ngồi trên tro bụi mà sám hối. Cho nên trong ngày thẩm phán, Tyrô và Siđon sẽ được nhiêu dung hơn các ngươi.\r“Còn ngươi nữa, hỡi Capharnaum, phải chăng ngươi sẽ được nâng cao đến tận trời? Ngươi sẽ phải hạ thấp xuống tới địa ngục.\r“Ai nghe các con, tức là nghe Thầy, và ai khinh dể các con, là khinh dể Thầy. Mà ai khinh dể Thầy là khinh dể Ðấng đã sai Thầy”.","end":"Ðó là lời Chúa"}},
+        "5266": {"firstReading":{"excerpt":"(Năm II) G 42, 1-3. 5-6. 12-16","info":"“Giờ đây mắt con nhìn thấy Chúa. Bởi đó chính con trách thân con”.","title":"Trích sách ông Gióp.","content":"Ông Gióp thưa lại cùng Chúa rằng: “Con biết Chúa làm nên mọi sự, và không một tư tưởng nào giấu được Chúa. Ai là kẻ mê muội che khuất được ý định của Chúa? Vì thế, con nói bậy về những điều vượt quá sự thông biết của con. Trước kia con nghe tiếng Chúa, còn giờ đây mắt con nhìn thấy Chúa. Bởi đó, chính con trách thân con, và ăn năn sám hối trong bụi tro”.\rSau này Chúa giáng phúc cho ông Gióp nhiều hơn lúc ban đầu. Ông có mười bốn ngàn con chiên, sáu ngàn lạc đà, một ngàn đôi bò và một ngàn lừa cái. Ông còn sinh được bảy trai ba gái. Người con gái thứ nhất ông đặt tên là Nhật, người thứ hai tên Hương, và người thứ ba tên Bình. Trong khắp nước, không tìm thấy thiếu nữ nào xinh đẹp như các con gái của ông Gióp. Thân phụ của các cô cũng chia phần gia tài cho các cô như những anh em trai. Sau đó, ông Gióp còn sống được một trăm bốn mươi năm nữa, và nhìn thấy con cháu đến bốn đời. Khi cao niên đầy tuổi, ông đã qua đời.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 66. 71. 75. 91. 125. 130","response":"Ðáp: Lạy Chúa, xin tỏ cho tôi tớ Chúa thấy long nhan hiền hậu (c. 135a).","verses":["Xướng: Xin Chúa dạy con sự thông minh và lương tri, vì con tin cậy vào các chỉ thị của Ngài.","Xướng: Con bị khổ nhục, đó là điều tốt, để cho con học biết thánh chỉ của Ngài.","Xướng: Lạy Chúa, con biết sắc dụ Ngài công minh, và Ngài có lý mà bắt con phải khổ.","Xướng: Theo chỉ dụ Chúa mà vũ trụ luôn luôn tồn tại, vì hết thảy vạn vật đều phải phục vụ Ngài.","Xướng: Con là tôi tớ Chúa, xin Chúa dạy dỗ con, để con hiểu biết những lời Ngài nghiêm huấn.","Xướng: Sự mạc khải lời Ngài soi sáng và dạy bảo những người chưa kinh nghiệm."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia."},"gospel":{"excerpt":"Lc 10, 17-24","info":"“Các con hãy vui mừng vì tên các con đã được ghi trên trời”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, bảy mươi hai ông trở về vui mừng và nói rằng: “Thưa Thầy, nhân danh Thầy thì cả ma quỷ cũng vâng phục chúng con”. Người bảo: “Ta đã thấy Satan từ trời sa xuống như luồng chớp. Này Ta đã ban cho các con quyền giày đạp rắn rết, bọ cạp, mọi quyền phép của kẻ thù, và không có gì có thể làm hại được các con. Dù vậy, các con chớ vui mừng vì các thần phải vâng phục các con; nhưng hãy vui mừng vì tên các con đã được ghi trên trời”. Lúc đó, Chúa Giêsu đầy hoan lạc trong Chúa Thánh Thần, Người nói: “Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã giấu không cho những người thông thái khôn ngoan biết những điều này, nhưng đã tỏ cho những kẻ đơn sơ. Vâng, lạy Cha, đó là ý Cha đã muốn thế. – Cha Ta đã trao cho Ta mọi sự. Không ai biết Chúa Con là ai, ngoài Chúa Cha; cũng không ai biết Chúa Cha là Ðấng nào, ngoài Chúa Con, và những người được Chúa Con muốn tỏ cho biết”. Rồi Chúa Giêsu quay lại phía các môn đệ và phán: “Hạnh phúc cho những con mắt được xem những điều các con xem thấy, vì chưng, Thầy bảo các con: Có nhiều tiên tri và vua chúa đã muốn xem những điều các con thấy, mà chẳng được xem, muốn nghe những điều các con nghe, mà đã chẳng được nghe”.","end":"Ðó là lời Chúa"}},
+        "5271": {"firstReading":{"excerpt":"(Năm II) Gl 1, 6-12","info":"“Tin Mừng do tôi rao giảng không phải thuộc về loài người, nhưng là do Ðức Giêsu Kitô mạc khải”.","title":"Trích thư Thánh Phalô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, tôi ngạc nhiên thấy anh em thay lòng đổi dạ chóng như thế đối với Ðấng đã kêu gọi anh em thông phần vào ân sủng của Ðức Kitô, để anh em quay sang một tin mừng khác: Tin mừng khác làm gì có, chỉ có những kẻ phá rối anh em và muốn anh em đảo lộn Tin Mừng của Ðức Kitô. Nhưng cho dù chúng tôi, hay một thiên thần nào từ trời đến giảng tin mừng khác với Tin Mừng chúng tôi đã rao giảng cho anh em, thì người đó bị chúc dữ. Như chúng tôi đã nói trước, và giờ đây tôi xin nói lại rằng: Nếu ai trong anh em rao giảng cho anh em Tin Mừng khác hơn điều anh em đã lãnh nhận, thì người đó bị chúc dữ.\rGiờ đây, tôi phải làm vừa lòng người ta hay là Thiên Chúa? Nào có phải tôi tìm cách làm vừa lòng người ta sao? Nếu tôi còn làm vừa lòng thiên hạ, thì tôi không phải là đầy tớ của Ðức Kitô.\rAnh em thân mến, tôi cho anh em biết rằng Tin Mừng do tôi rao giảng không phải thuộc về loài người, vì tôi không nhận cũng không học với loài người, nhưng là do Ðức Giêsu Kitô mạc khải.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 7-8. 9 và 10c","response":"Ðáp: Cho tới muôn đời Chúa vẫn nhớ lời minh ước (c. 5b).","verses":["Xướng: Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi.","Xướng: Công cuộc tay Chúa làm ra đều chân thật và công chính, mọi giới răn của Người đều đáng cậy tin. Những giới răn đó được lập ra cho đến muôn ngàn đời, được ban hành một cách chân thành và đoan chính.","Xướng: Chúa đã gửi tặng ơn giải phóng cho dân Người, để thiết lập lời minh ước tới muôn đời. Danh Người thực là thánh thiện và khả úy. Lời khen ngợi Chúa còn tồn tại tới muôn đời."]},"alleluia":{"verse":"1 Sm 3, 9; Ga 6, 69","content":"alleluia! – Lạy Chúa, xin hãy phán, vì tôi tớ Chúa đang lắng tai nghe; Chúa có lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 10, 25-37","info":"“Ai là anh em của tôi?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có một người thông luật đúng dậy hỏi thử Chúa Giêsu rằng: “Thưa Thầy, tôi phải làm gì để được sự sống đời đời?” Người nói với ông: “Trong Lề luật đã chép như thế nào? Ông đọc thấy gì trong đó?” Ông trả lời: “Ngươi hãy yêu mến Chúa là Thiên Chúa ngươi hết lòng, hết linh hồn, hết sức và hết trí khôn ngươi, và hãy thương mến anh em như chính mình”. Chúa Giêsu nói: “Ông trả lời đúng, hãy làm như vậy và ông sẽ được sống”. Nhưng người đó muốn bào chữa mình, nên thưa cùng Chúa Giêsu rằng: “Nhưng ai là anh em của tôi?”\rChúa Giêsu nói tiếp: “Một người đi từ Giêrusalem xuống Giêricô, và rơi vào tay bọn cướp; chúng bóc lột người ấy, đánh nhừ tử rồi bỏ đi, để người ấy nửa sống nửa chết. Tình cờ một tư tế cũng đi qua đường đó, trông thấy nạn nhân, ông liền đi qua. Cũng vậy, một trợ tế khi đi đến đó, trông thấy nạn nhân, cũng đi qua. Nhưng một người xứ Samaria đi đường đến gần người ấy, trông thấy và động lòng thương. Người đó lại gần, băng bó những vết thương, xức dầu và rượu, rồi đỡ nạn nhân lên lừa của mình, đưa về quán trọ săn sóc. Hôm sau, lấy ra hai quan tiền, ông trao cho ông chủ quán mà bảo rằng: “Ông hãy săn sóc người ấy, và ngoài ra còn tốn phí hơn bao nhiêu, khi trở về tôi sẽ trả lại ông”.\r“Theo ông nghĩ, ai trong ba người đó là anh em của người bị rơi vào tay bọn cướp?” Người thông luật trả lời: “Kẻ đã tỏ lòng thương xót với người ấy”. Và Chúa Giêsu bảo ông: “Ông cũng hãy đi và làm như vậy”.","end":"Ðó là lời Chúa"}},
+        "5272": {"firstReading":{"excerpt":"(Năm II) Gl 1, 13-24","info":"“Người đã mạc khải cho tôi biết Con của Người, để tôi rao giảng Người cho dân ngoại”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, anh em nghe nói về đời sống của tôi trước kia, khi theo đạo Do-thái: tôi đã bắt bớ và phá hoại Hội Thánh của Thiên Chúa thái quá. Trong đạo Do-thái, tôi đã vượt hẳn nhiều bạn đồng giống nòi, đồng tuổi với tôi, và tôi nhiệt thành hơn bất cứ ai đối với truyền thống của cha ông tôi.\rNhưng khi Ðấng tách riêng tôi ra từ lòng mẹ, và dùng ơn Người mà kêu gọi tôi, để tôi rao giảng Người trong các dân ngoại, thì không lúc nào tôi bàn hỏi người xác thịt máu huyết, và tôi không lên Giêrusalem để gặp các vị làm tông đồ trước tôi, nhưng tôi đi ngay đến Arabia, rồi lại trở về Ðamas. Ðoạn ba năm sau, tôi mới lên Giêrusalem để gặp Phêrô, và lưu lại với ông mười lăm ngày. Tôi không gặp một tông đồ nào khác, ngoài Giacôbê, anh em của Chúa. Những điều này tôi viết cho anh em, đây trước mặt Thiên Chúa, tôi không nói dối.\rThế rồi tôi đã đi về miền Syria và Cilicia. Nhưng các giáo đoàn của Ðức Kitô ở xứ Giuđêa chưa biết mặt tôi, họ chỉ nghe đồn rằng: “Người xưa kia bắt bớ chúng ta, giờ đây lại rao giảng đức tin mà thuở trước ông muốn bài trừ”, và vì tôi, họ ngợi khen Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 138, 1-3. 13-14ab. 14c-15","response":"Ðáp: Lạy Chúa, xin hướng dẫn con trong đường lối đời đời (c. 24b).","verses":["Xướng: Lạy Chúa, Ngài thăm dò và biết rõ con, Ngài biết con lúc con ngồi hay con đứng. Ngài hiểu thấu tư tưởng con tự đàng xa, khi con bước đi hay nằm nghỉ, Ngài thấy hết, Ngài để ý tới mọi đường lối của con.","Xướng: Chính Ngài đã nặn ra thận tạng con, đã dệt ra con trong lòng thân mẫu. Con ngợi khen Ngài đã tạo nên con lạ lùng như thế, vì công cuộc của Ngài thực diệu huyền.","Xướng: Linh hồn con, Chúa hoàn toàn biết rõ, thể chất con không giấu nổi mắt Ngài, lúc con được cấu tạo hình hài trong nơi kín đáo, lúc con được dệt thân ở chỗ đất sâu."]},"alleluia":{"verse":"Tv 144, 14cd","content":"alleluia! – Chúa trung thành trong mọi lời Chúa phán, và thánh thiện trong mọi việc Chúa làm. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Phúc thay kẻ lắng nghe và tuân giữ lời Thiên Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 10, 38-42","info":"“Martha rước Người vào nhà mình. Maria đã chọn phần tốt nhất”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy Chúa Giêsu vào một làng kia, và có một phụ nữ tên là Martha rước Người vào nhà mình. Bà có người em gái tên là Maria ngồi bên chân Chúa mà nghe lời Người. Martha bận rộn với việc thết đãi khách. Bà đứng lại thưa Người rằng: “Lạy Thầy, em con để con hầu hạ một mình mà Thầy không quan tâm sao? Xin Thầy bảo em con giúp con với”.\rNhưng Chúa đáp: “Martha, Martha, con lo lắng bối rối về nhiều chuyện (quá). Chỉ có một sự cần mà thôi, Maria đã chọn phần tốt nhất và sẽ không bị ai lấy mất”.","end":"Ðó là lời Chúa"}},
+        "5273": {"firstReading":{"excerpt":"(Năm II) Gl 2, 1-2. 7-14","info":"“Các đấng đã nhận biết ơn đã ban cho tôi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, mười bốn năm sau, tôi lại lên Giêrusalem cùng với Barnaba và có đem Titô theo. Tôi đã theo ơn mạc khải mà lên đó, và tôi đã trình bày với các đấng đó về Tin Mừng mà tôi rao giảng nơi các dân ngoại, tôi bàn hỏi riêng với những bậc vị vọng, vì e rằng mình đang bôn tẩu hoặc đã bôn tẩu luống công chăng.\rTrái lại, khi các đấng ấy thấy rằng tôi được uỷ nhiệm rao giảng Tin Mừng cho người không chịu cắt bì, cũng như đã uỷ nhiệm cho Phêrô rao giảng cho những người đã chịu cắt bì, (vì Ðấng đã ban cho Phêrô làm Tông đồ cho những người đã chịu cắt bì, cũng đã ban cho tôi làm Tông đồ lo cho các dân ngoại), và khi đã nhận biết ơn đã ban cho tôi, thì Giacôbê, Kêpha và Gioan, là những vị được kể như cột trụ, đã bắt tay tôi và Barnaba, tỏ tình thông hảo. Thế là chúng tôi đi sang các dân ngoại, còn các đấng thì đi đến với những người đã chịu cắt bì. Bấy giờ chúng tôi chỉ còn phải nhớ đến những người nghèo khổ, và đó là chính điều tôi đã định tâm thi hành.\rNhưng khi Kêpha đến Antiôkia, tôi đã phản đối ông ngay trước mặt, vì ông làm điều không phải. Vì chưng trước khi mấy người bên Giacôbê đến, thì ông vẫn dùng bữa với những người dân ngoại, nhưng khi những người ấy đến, thì ông lẩn lút và tự lánh mặt đi, bởi sợ những người thuộc giới cắt bì. Những người Do-thái khác đều giả hình như ông, thậm chí cả Barnaba cũng bị lôi cuốn theo sự giả hình của họ. Nhưng khi thấy họ không thẳng thắn sống theo chân lý Tin Mừng, tôi đã nói với Kêpha trước mặt mọi người rằng: “Nếu ông là Do-thái, mà còn sống theo thói người dân ngoại, chứ không theo thói người Do-thái, thì lẽ nào ông bắt ép người dân ngoại phải theo thói người Do-thái sao?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 116, 1. 2","response":"Ðáp: Hãy đi rao giảng Tin Mừng khắp thế gian (Mc 16, 15).","verses":["Xướng: Toàn thể chư dân, hãy khen ngợi Chúa! Hết thảy các nước, hãy chúc tụng Người!","Xướng: Vì tình thương Chúa dành cho chúng ta thực là mãnh liệt, và lòng trung thành của Chúa tồn tại muôn đời."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 11, 1-4","info":"“Lạy Thầy, xin dạy chúng con cầu nguyện”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Ngày kia, Chúa Giêsu cầu nguyện ở một nơi. Khi Người cầu nguyện xong, có một môn đệ thưa Người rằng: “Lạy Thầy, xin dạy chúng con cầu nguyện như Gioan đã dạy môn đệ ông”. Người nói với các ông: “Khi các con cầu nguyện, hãy nói:\r“Lạy Cha, nguyện danh Cha cả sáng. Nước Cha trị đến. Xin Cha cho chúng con hôm nay lương thực hằng ngày. Và tha nợ chúng con, như chúng con cũng tha mọi kẻ có nợ chúng con. Xin chớ để chúng con sa chước cám dỗ”.","end":"Ðó là lời Chúa"}},
+        "5274": {"firstReading":{"excerpt":"(Năm II) Gl 3, 1-5","info":"“Anh em đã lãnh nhận Thánh Thần bởi giữ luật hay bởi vâng phục đức tin?”","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Ôi những người Galata vô tâm trí, ai đã mê hoặc anh em bất phục chân lý tỏ bày Ðức Giêsu Kitô trước mặt anh em, Ðấng chịu đóng đinh vào thập giá trong anh em? Tôi chỉ muốn anh em cho biết một điều này: là anh em đã lãnh nhận Thánh Thần bởi giữ luật hay bởi vâng phục đức tin? Chớ thì anh em vô tâm trí đến nỗi anh em đã khởi công theo tinh thần, để rồi giờ đây kết thúc theo xác thịt sao? Anh em đã chịu đựng bao nhiêu chuyện như thế luống công sao, nếu có thể nói là luống công? Vậy Ðấng ban Thánh Thần cho anh em và làm những việc lạ lùng nơi anh em, có phải Người hành động bởi anh em giữ luật hay bởi anh em vâng phục đức tin?","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Lc 1, 69-70. 71-72. 73-75","response":"Ðáp: Chúc tụng Chúa là Thiên Chúa của Israel, vì Chúa đã viếng thăm và cứu chuộc dân Ngài (c. 68).","verses":["Xướng: Chúa đã gầy dựng cho chúng ta một uy quyền cứu độ, trong nhà Ðavít là tôi tớ Chúa. Như Ngài đã phán qua miệng các thánh nhân từ ngàn xưa, là tiên tri của Chúa.","Xướng: Ðể giải phóng chúng ta khỏi quân thù, và khỏi tay những người ghen ghét chúng ta. Ðể tỏ lòng từ bi với tổ tiên chúng ta, và nhớ lại lời thánh ước của Ngài.","Xướng: Lời minh ước mà Ngài tuyên thệ với Abraham tổ phụ chúng ta rằng: Ngài cho chúng ta được không sợ hãi, sau khi thoát khỏi tay quân thù; phục vụ Ngài trong thánh thiện và công chính, trước tôn nhan Ngài, trọn đời sống chúng ta."]},"alleluia":{"verse":"Lc 4, 18-19","content":"alleluia! – Chúa đã sai tôi đi rao giảng Tin Mừng cho người nghèo khó, loan truyền sự giải thoát cho kẻ bị giam cầm. – Alleluia."},"gospel":{"excerpt":"Lc 11, 5-13","info":"“Các con hãy xin thì sẽ được”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Nếu ai trong các con có người bạn, giữa đêm khuya đến nói với người ấy rằng: “Anh ơi, xin cho tôi vay ba chiếc bánh, vì tôi có anh bạn đi đường ghé lại nhà tôi, mà tôi không có gì thết đãi anh ấy”. Và từ trong nhà có tiếng người ấy đáp: “Xin đừng quấy rầy tôi, vì cửa đã đóng, các con tôi và tôi đã lên giường nằm rồi, tôi không thể chỗi dậy lấy bánh cho anh được”. Thầy bảo các con, dù người đó không dậy vì tình bạn để lấy bánh cho người bạn, người đó cũng sẽ dậy, ít nữa là vì sự quấy rầy của người kia mà cho anh ta tất cả những gì anh ta cần.\r“Và Thầy bảo các con: Các con hãy xin thì sẽ được, hãy tìm thì sẽ gặp, hãy gõ thì sẽ mở cho. Vì hễ ai xin thì sẽ được, ai tìm thì sẽ gặp, ai gõ thì sẽ mở cho. Người cha nào trong các con có đứa con xin bánh mà lại cho nó hòn đá ư? Hay nó xin cá lại cho nó con rắn thay vì cá sao? Hay nó xin quả trứng, lại cho nó con bọ cạp ư? Vậy nếu các con là những kẻ gian ác, còn biết cho con cái mình những của tốt, phương chi Cha các con trên trời sẽ ban Thánh Thần cho những kẻ xin Người”.","end":"Ðó là lời Chúa"}},
+        "5275": {"firstReading":{"excerpt":"(Năm II) Gl 3, 7-14","info":"“Những ai cậy dựa vào đức tin, sẽ được chúc phúc với Abraham, con người tin tưởng”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, anh em hãy nhận biết rằng: những ai cậy dựa vào đức tin, thì họ là con cái của Abraham. Thực Kinh Thánh thấy trước rằng Thiên Chúa sẽ dùng đức tin làm cho các dân ngoại được công chính, nên đã tiên báo cho Abraham rằng: “Nơi ngươi tất cả dân ngoại sẽ được chúc phúc”. Vậy những ai cậy dựa vào đức tin sẽ được chúc phúc với Abraham, con người tin tưởng.\rThực ra, những người cậy dựa vào lề luật, họ mắc phải điều vô phúc, vì có lời chép rằng: “Vô phúc những ai không trung thành với những điều ghi trong Sách Luật, để thi hành những điều đó”. Ðàng khác, không ai được công chính hoá trước mặt Chúa bởi lề luật, đó là điều hiển nhiên, vì lẽ rằng: “Người công chính sẽ sống bởi đức tin”. Lề luật không căn cứ ở đức tin, nhưng là “Ai thực hành những khoản ấy, sẽ nhờ đó mà được sống”.\rÐức Kitô đã cứu chuộc chúng ta khỏi điều vô phúc của lề luật, bởi Người đã vì chúng ta, biến thành điều vô phúc, như lời chép rằng: “Hễ ai bị treo trên cây gỗ, đều là vô phúc”, để phúc lành của Abraham được chuyển tới các dân ngoại trong Ðức Giêsu Kitô, hầu chúng ta nhờ đức tin mà lãnh nhận Thánh Thần Chúa đã hứa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 5-6","response":"Ðáp: Cho tới muôn đời Chúa vẫn nhớ lời minh ước (c. 5b).","verses":["Xướng: Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi!","Xướng: Công cuộc của Chúa là sự hùng vĩ oai nghiêm, và đức công minh của Người muôn đời tồn tại. Chúa đã làm những điều lạ lùng đáng nhớ, Người thực là Ðấng nhân hậu từ bi.","Xướng: Chúa đã ban lương thực cho những ai tôn sợ Người, cho tới muôn đời Người vẫn nhớ lời minh ước. Chúa tỏ cho dân Người thấy công cuộc quyền năng của Người, hầu ban cho họ được phần sản nghiệp của chư dân."]},"alleluia":{"verse":"Lc 19, 38","content":"alleluia! – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến! Bình an trên trời, và vinh quang trên các tầng trời! – Alleluia."},"gospel":{"excerpt":"Lc 11, 15-26","info":"“Nếu Ta nhờ ngón tay Thiên Chúa mà trừ quỷ, ắt là nước Thiên Chúa đã đến giữa các ngươi rồi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, (lúc Chúa Giêsu trừ quỷ), thì có mấy người trong dân chúng nói rằng: “Ông ta nhờ tướng quỷ Bêelgiêbút mà trừ quỷ”. Mấy kẻ khác muốn thử Người, nên xin Người một dấu lạ từ trời xuống.\rNhưng Người biết ý của họ, liền phán: “Nước nào tự chia rẽ, sẽ diệt vong, và nhà cửa sẽ sụp đổ chồng chất lên nhau. Vậy nếu Satan cũng tự chia rẽ, thì nước nó làm sao đứng vững được? Bởi các ngươi bảo Ta nhờ Bêelgiêbút mà trừ quỷ, vậy nếu Ta nhờ Bêelgiêbút mà trừ quỷ, thì con cái các ngươi nhờ ai mà trừ? Bởi đó chính con cái các ngươi sẽ xét xử các ngươi. Nhưng nếu Ta nhờ ngón tay Thiên Chúa mà trừ quỷ, ắt là nước Thiên Chúa đã đến giữa các ngươi rồi.\r“Khi có người khoẻ mạnh và võ trang đầy đủ canh giữ nhà mình, thì của cải người đó được an toàn. Nhưng nếu có người mạnh hơn xông đến đánh bại hắn, thì sẽ tước hết khí giới hắn tin tưởng, và làm tiêu tán hết những gì đã tước đoạt. Ai không thuận với Ta là nghịch cùng Ta, và ai không thu góp với Ta là phân tán.\r“Khi thần ô uế ra khỏi người nào, thì nó đi dông dài những nơi khô ráo, tìm chỗ nghỉ ngơi, nhưng không tìm được, nên nó nói rằng: “Ta sẽ trở lại nhà ta, nơi ta đã ra đi”. Khi đến nơi, nó thấy nhà đó đã được quét sạch và sắp đặt ngăn nắp. Bấy giờ nó đi rủ bảy tà thần khác hung ác hơn nó, chúng vào cư ngụ ở đó. Và tình trạng sau cùng của người ấy trở nên tệ hại hơn trước”.","end":"Ðó là lời Chúa"}},
+        "5276": {"firstReading":{"excerpt":"(Năm II) Gl 3, 22-29","info":"“Tất cả anh em đều là con cái Thiên Chúa”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, Thánh Kinh đã giam giữ mọi loài dưới ách tội lỗi, để nhờ lòng tin vào Ðức Giêsu Kitô mà lời hứa được ban tặng cho những kẻ tin.\rNhưng trước khi đức tin chưa đến, thì chúng ta bị giam giữ dưới ách lề luật, để mong chờ đức tin sẽ được tỏ hiện. Bởi thế, lề luật là thầy dạy đưa chúng ta đến cùng Ðức Kitô, để nhờ đức tin, chúng ta được công chính hoá. Nhưng một khi đức tin đã đến, chúng ta không còn ở dưới quyền thầy dạy nữa. Bởi chưng, tất cả anh em đều là con cái Thiên Chúa nhờ tin vào Ðức Giêsu Kitô. Vì chưng, tất cả anh em đã chịu phép rửa tội trong Ðức Kitô, nên anh em đã mặc lấy Ðức Kitô. Nay không còn phân biệt người Do-thái và Hy-lạp, người nô lệ và tự do, người nam và người nữ: vì tất cả anh em là một trong Ðức Giêsu Kitô. Nhưng nếu anh em thuộc về Ðức Kitô, thì anh em là dòng dõi Abraham, những kẻ thừa tự như lời đã hứa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 2-3. 4-5. 6-7","response":"Ðáp: Tới muôn đời Chúa vẫn nhớ lời minh ước (c. 8a).","verses":["Xướng: Hãy xướng ca, đàn hát mừng Người, hãy tường thuật mọi điều kỳ diệu của Chúa. Hãy tự hào vì danh thánh của Người, tâm hồn những ai tìm Chúa, hãy mừng vui.","Xướng: Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn. Hãy nhớ lại những điều kỳ diệu Chúa đã làm, những phép lạ và những điều Ngài phán quyết.","Xướng: Hỡi miêu duệ Abraham là tôi tớ của Ngài, hỡi con cháu Giacóp, những người được Ngài kén chọn, chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Ngài bao trùm khắp cả địa cầu."]},"alleluia":{"verse":"Ga 1, 14 và 12b","content":"alleluia! – Ngôi Lời đã làm người và đã ở giữa chúng ta. Những ai tiếp rước Người, thì Người ban cho họ quyền làm con Thiên Chúa. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Phúc thay kẻ lắng nghe và tuân giữ lời Thiên Chúa – Alleluia."},"gospel":{"excerpt":"Lc 11, 27-28","info":"“Phúc cho dạ đã cưu mang Thầy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu đang giảng cho dân chúng, thì từ giữa đám dân chúng, có một phụ nữ cất tiếng nói rằng: “Phúc cho dạ đã cưu mang Thầy và vú đã cho Thầy bú!” Nhưng Người phán rằng: “Những ai nghe và giữ lời Thiên Chúa thì có phúc hơn”.","end":"Ðó là lời Chúa"}},
+        "5281": {"firstReading":{"excerpt":"(Năm II) Gl 4, 22-24. 26-27. 31 – 5, 1","info":"“Chúng ta không phải là con của nữ tỳ, nhưng là con của người vợ tự do”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, có lời chép rằng: Abraham có hai người con trai: một sinh bởi người nữ tỳ, và một sinh bởi người vợ tự do. Nhưng con sinh bởi nữ tỳ, thì đã sinh ra theo lối xác thịt, còn con sinh bởi người vợ tự do, đã sinh ra bởi lời hứa. Những sự ấy đã được nói cách bóng bảy, vì hai người vợ tiêu biểu cho hai giao ước: một bởi núi Sanai, sinh con cái làm nô lệ, đó là Agar. Còn Giêrusalem ở trên cao thì được tự do, đó là mẹ chúng ta, vì có lời chép rằng: “Hỡi người son sẻ, chẳng sinh con, hãy hân hoan! Hỡi người không sinh sản, hãy vui reo và hò lên! Vì con cái của người vợ bị ruồng bỏ, lại đông hơn con của gái có chồng”.\rBởi đó, anh em thân mến, chúng ta không phải là con của nữ tỳ, nhưng là con của người vợ tự do; chính để chúng ta được tự do mà Ðức Kitô đã giải thoát chúng ta. Anh em hãy đứng vững, đừng để bị đặt dưới ách nô lệ một lần nữa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 112, 1-2. 3-4. 5a và 6-7","response":"Ðáp: Nguyện danh Chúa được chúc tụng đến muôn đời! (c. 2).","verses":["Xướng: Hãy ngợi khen, hỡi những người tôi tớ Chúa, chư vị hãy ngợi khen danh Chúa! Nguyện danh Chúa được chúc tụng từ bây giờ và cho đến muôn đời!","Xướng: Từ mặt trời mọc lên tới khi lặn xuống, nguyện cho danh Chúa được ngợi khen! Chúa siêu việt trên hết thảy chư dân, trên muôn cõi trời, là vinh quang của Chúa. –","Xướng: Ai được như Thiên Chúa chúng ta, Người để mắt nhìn coi khắp cả trên trời dưới đất? Người nâng kẻ hèn hạ lên khỏi trần ai, và rước người nghèo khó khỏi nơi phẩn thổ."]},"alleluia":{"verse":"Tv 118, 27","content":"alleluia! – Xin Chúa cho con hiểu đường lối những huấn lệnh của Chúa, và con suy gẫm các điều lạ lùng của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 11, 29-32","info":"“Không ban cho dòng giống này điềm lạ nào ngoài điềm lạ của tiên tri Giona”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, thấy dân chúng từng đoàn lũ tụ tập lại, Chúa Giêsu phán rằng: “Dòng giống này là dòng giống gian ác. Chúng đòi điềm lạ, nhưng sẽ không ban cho chúng điềm lạ nào, ngoài điềm lạ của tiên tri Giona. Vì Giona đã nên điềm lạ cho dân thành Ninivê thế nào, thì Con Người cũng sẽ là điềm lạ cho dòng giống này như vậy. Ðến ngày phán xét, nữ hoàng phương nam sẽ đứng lên tố cáo và lên án dòng giống này, vì bà đã từ tận cùng trái đất mà đến nghe sự khôn ngoan của Salomon. Nhưng ở đây còn có người hơn Salomon. Dân thành Ninivê cũng sẽ đứng lên tố cáo và lên án dòng giống này, vì họ đã sám hối theo lời Giona giảng, nhưng ở đây còn có người hơn Giona nữa”.","end":"Ðó là lời Chúa"}},
+        "5282": {"firstReading":{"excerpt":"(Năm II) Gl 4, 31b – 5, 6","info":"“Cắt bì là vô giá trị, nhưng chỉ có đức tin hoạt động bởi đức mến”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, chính để chúng ta được tự do mà Ðức Kitô đã giải thoát chúng ta. Anh em hãy đứng vững, đừng để bị đặt dưới ách nô lệ một lần nữa. Chính tôi đây, Phaolô, tuyên bố cho anh em rằng: Nếu anh em chịu cắt bì, thì Ðức Kitô chẳng làm nên công trạng gì cho anh em. Tôi chứng thực một lần nữa với mọi người nào chịu cắt bì rằng: họ bị bắt buộc phải giữ trọn cả lề luật. Anh em muốn công chính hoá bởi lề luật, thì anh em tự tách biệt khỏi Ðức Kitô, và đã mất ân sủng rồi.\rVề phần chúng tôi, nhờ Thánh Thần và nại vào đức tin, chúng tôi mong chờ trông cậy sự công chính. Bởi chưng trong Ðức Giêsu Kitô, cắt bì hay không cắt bì đều vô giá trị, nhưng chỉ có đức tin hoạt động bởi đức mến.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 41. 43. 44. 45. 47. 48","response":"Ðáp: Lạy Chúa, xin rủ lòng thương xót đến con (c. 41a).","verses":["Xướng: Lạy Chúa, xin rủ lòng thương xót đến con, xin ban ơn phù trợ theo lời Ngài đã hứa.","Xướng: Xin đừng rút lời chân lý khỏi miệng con, vì con trông cậy vào sắc dụ của Ngài.","Xướng: Con sẽ tuân giữ luật pháp Chúa luôn luôn, cho tới muôn ngàn đời và mãi mãi.","Xướng: Con sẽ bước đi trên đường rộng rãi, vì con tìm kiếm huấn lệnh của Ngài.","Xướng: Các chỉ thị Ngài làm cho con hoan lạc, đó là những điều con vẫn mến yêu.","Xướng: Con giang tay cầu chỉ thị của Chúa, và con suy gẫm về những thánh chỉ của Ngài."]},"alleluia":{"verse":"Ga 6, 64b và 69b","content":"alleluia! – Lạy Chúa, lời Chúa là thần trí và là sự sống; Chúa có những lời ban sự sống đời đời. – Alleluia."},"gospel":{"excerpt":"Lc 11, 37-41","info":"“Hãy bố thí, thì mọi sự sẽ nên trong sạch cho các ông”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, lúc Chúa Giêsu còn đang nói, thì có một người biệt phái mời Người dùng bữa tại nhà ông. Người đi vào và ngồi bàn ăn. Nhưng người biệt phái ngạc nhiên, nghĩ trong lòng rằng tại sao Người không rửa tay trước khi dùng bữa.\rBấy giờ Chúa phán cùng ông ấy rằng: “Này các ông, những người biệt phái, các ông lau rửa bên ngoài chén đĩa, nhưng nội tâm các ông đầy tham lam và gian ác. Hỡi những kẻ ngu dại, chớ thì Ðấng đã tạo thành cái bên ngoài, lại chẳng tạo thành cả cái bên trong sao? Hãy đem những cái bên trong ra mà bố thí, thì mọi sự sẽ nên trong sạch cho các ông”.","end":"Ðó là lời Chúa"}},
+        "5283": {"firstReading":{"excerpt":"(Năm II) Gl 5, 18-25","info":"“Những ai thuộc về Ðức Kitô, thì đóng đinh xác thịt cùng với các dục vọng vào thập giá”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Galata.","content":"Anh em thân mến, nếu anh em được Thánh Thần hướng dẫn, anh em không còn ở dưới chế độ lề luật nữa. Vả chăng người ta thừa hiểu sự nghiệp của xác thịt là: tà dâm, ô uế, phóng đãng, buông tuồng, thờ lạy thần tượng, phù phép, thù hằn, kình địch, ghen tương, giận dữ, cãi lẫy, bất bình, bè phái, giết người, say sưa, mê ăn uống, và những điều khác giống như vậy. Tôi bảo trước cho anh em hay, như tôi đã từng nói rằng: hễ những ai phạm các điều lỗi đó, sẽ không được thừa hưởng Nước Thiên Chúa.\rCòn hoa quả của Thánh Thần là: yêu thương, vui mừng, bình an, nhẫn nại, nhân từ, hiền lành, khoan dung, dịu hiền, trung trực, đức hạnh, tiết độ, trinh khiết. Lề luật không chống lại các điều ấy. Vả chăng, những ai thuộc về Ðức Kitô, thì đã đóng đinh xác thịt cùng với các dục vọng và đam mê vào thập giá. Nếu chúng ta sống nhờ Thánh Thần, chúng ta cũng hãy ăn ở theo Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Lạy Chúa, ai theo Chúa sẽ được ánh sáng ban sự sống (c. Jo 8,12).","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa; lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy, họ như vỏ trấu bị gió cuốn đi; vì Chúa canh giữ đường lối người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":"Mt 4, 4b","content":"alleluia! – Người ta sống không nguyên bởi bánh, nhưng bởi mọi lời do miệng Thiên Chúa phán ra. – Alleluia."},"gospel":{"excerpt":"Lc 11, 42-46","info":"“Khốn cho các ngươi, hỡi những người biệt phái, và khốn cho các ngươi, hỡi những tiến sĩ luật”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa phán rằng: “Khốn cho các ngươi, hỡi những người biệt phái! Vì các ngươi nộp thuế thập phân, bạc hà, vân hương, và các thứ rau, mà lại bỏ qua đức công bình và lòng yêu mến Thiên Chúa: Phải thi hành những điều này, và không được bỏ những điều kia. Khốn cho các ngươi, hỡi những người biệt phái! Vì các ngươi ưa thích ngồi ghế nhất trong các hội đường, và ưa thích được chào hỏi ngoài phố chợ. Khốn cho các ngươi, vì các ngươi giống những mồ mả không rõ rệt, người ta bước đi ở trên mà không hay biết!”\rCó một tiến sĩ luật trả lời Người rằng: “Thưa Thầy, Thầy nói như thế là Thầy sỉ nhục cả chúng tôi nữa”. Người đáp lại rằng: “Hỡi những tiến sĩ luật, khốn cho các ngươi nữa! Vì các ngươi chất lên người ta những gánh nặng không thể vác được, mà chính các ngươi dù một ngón tay cũng không động tới”.","end":"Ðó là lời Chúa"}},
+        "5284": {"firstReading":{"excerpt":"(Năm II) Ep 1, 1-10","info":"“Ngài đã chọn chúng ta trong Người trước khi tạo dựng thế gian”.","title":"Khởi đầu bức thư của Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Phaolô, Tông đồ của Ðức Giêsu Kitô bởi ý định của Thiên Chúa, kính gửi các thánh ở Êphêxô và (là) các tín hữu trong Ðức Giêsu Kitô. (Nguyện chúc) ân sủng và bình an cho anh em do tự Thiên Chúa, Cha chúng ta, và Chúa Giêsu Kitô.\rChúc tụng Thiên Chúa là Cha Ðức Giêsu Kitô, Chúa chúng ta, Ðấng đã chúc lành cho chúng ta bằng mọi phúc lành thiêng liêng trên trời, trong Ðức Kitô. Như Ngài đã chọn chúng ta trong Người trước khi tạo dựng thế gian, để chúng ta được nên thánh thiện và tinh tuyền trước mặt Ngài trong tình yêu thương. Chiếu theo thánh ý của Ngài, Ngài đã tiền định cho chúng ta được phúc làm con nhờ Ðức Giêsu Kitô, để chúng ta ca tụng vinh quang ân sủng của Ngài mà Ngài đã ban cho chúng ta trong Con yêu dấu của Ngài.\rTrong Người, chúng ta được ơn cứu chuộc nhờ máu Người, được ơn tha tội theo sự phong phú của ân sủng Ngài. Ân sủng này Ngài đã đổ tràn đầy trên chúng ta với tất cả sự khôn ngoan thượng trí, khiến chúng ta được biết mầu nhiệm ý định của Ngài theo ý Ngài đã định về Người, để kiện toàn trong thời gian viên mãn, là thâu hồi vạn vật trên trời dưới đất trong Ðức Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 3cd-4. 5-6","response":"Ðáp: Chúa đã công bố ơn cứu độ của Người (c. 2a).","verses":["Xướng: Hãy ca tụng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người; trước mặt chư dân Người tỏ rõ đức công minh. Người đã nhớ lại lòng nhân hậu và trung thành để sủng ái nhà Israel.","Xướng: Khắp nơi bờ cõi địa cầu đã nhìn thấy ơn cứu độ của Thiên Chúa chúng ta. Toàn thể địa cầu hãy reo mừng Chúa, hãy hoan hỉ, mừng vui và đàn ca! – Ðáp.","Xướng:  Hãy ca mừng Chúa với cây đàn cầm, với đàn cầm, với điệu nhạc du dương, cùng với tiếng râm ran, tiếng tù và rúc, hãy hoan hô trước thiên nhan Chúa là Vua."]},"alleluia":{"verse":"Ga 14, 5","content":"alleluia! – Chúa phán: “Thầy là đường, là sự thật và là sự sống, không ai đến được với Cha mà không qua Thầy”. – Alleluia."},"gospel":{"excerpt":"Lc 11, 47-54","info":"“Sẽ bị đòi nợ máu của các tiên tri đã đổ ra, kể từ máu của Abel cho đến máu của Giacaria”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa phán: “Khốn cho các ngươi! Hỡi những người xây cất mồ mả các tiên tri, mà tổ phụ các ngươi đã giết chết. Thật, các ngươi làm chứng và tán thành những hành động của tổ phụ các ngươi: vì thực ra họ đã giết các vị tiên tri, còn các ngươi thì xây mồ mả cho họ. Bởi đó mà sự Khôn Ngoan của Thiên Chúa đã nói: Ta sẽ sai đến với chúng các tiên tri và các tông đồ, trong số các vị đó, người thì chúng giết đi, người thì chúng bách hại, khiến cho dòng giống này sẽ bị đòi nợ máu của tất cả các tiên tri đã đổ ra từ lúc tạo thành vũ trụ, kể từ máu của Abel cho đến máu của Giacaria, người đã bị sát hại giữa bàn thờ và thánh điện. Phải, Ta bảo các ngươi, dòng giống này sẽ bị đòi nợ máu. Khốn cho các ngươi! Hỡi những tiến sĩ luật, vì các ngươi cất giữ chìa khoá sự hiểu biết. Chính các ngươi đã không được vào, mà những người muốn vào, các ngươi đã ngăn cản họ lại”.\rKhi người phán bảo cùng các biệt phái và tiến sĩ luật những lời đó, thì họ bắt đầu oán ghét Người một cách ghê gớm, và chất vấn Người về nhiều vấn đề, cố gài bẫy Người để may ra bắt bẻ được lời gì do miệng Người thốt ra chăng.","end":"Ðó là lời Chúa"}},
+        "5285": {"firstReading":{"excerpt":"(Năm II) Ep 1, 11-14","info":"“Chúng tôi trước kia đã trông cậy vào Ðức Kitô, và anh em được ghi dấu Thánh Thần”.","title":"Trích thư Thánh Phaolô tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, trong Ðức Kitô, chúng tôi được kêu gọi làm thừa tự, và anh em (là con cái Israel) cũng được tiền định theo ý định của Ngài là Ðấng tác thành mọi sự theo thánh ý Ngài, để chúng tôi trở thành lời ca vinh quang của Ngài, chúng tôi là những kẻ trước kia đã trông cậy vào Ðức Kitô. Trong Người, cả anh em nữa, sau khi anh em đã nghe lời chân thật là Tin Mừng cứu rỗi anh em, anh em đã tin và được ghi dấu Thánh Thần, như đã hứa. Người là bảo chứng phần gia nghiệp chúng ta, để chúng ta được ơn cứu chuộc, được ca ngợi vinh quang Ngài.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 12-13","response":"Ðáp: Phúc thay dân tộc mà Chúa chọn làm cơ nghiệp riêng mình! (c. 12b).","verses":["Xướng: Người hiền đức, hãy hân hoan trong Chúa! Ca ngợi là việc của những kẻ lòng ngay. Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa.","Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực; địa cầu đầy ân sủng của Chúa.","Xướng: Phúc thay quốc gia mà Chúa là chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình. Từ trời cao Chúa nhìn xuống, Người xem thấy hết thảy con cái người ta."]},"alleluia":{"verse":"Dt 4, 12","content":"alleluia! – Lời Thiên Chúa là lời hằng sống, linh nghiệm, phân rẽ tư tưởng và ý muốn của tâm hồn. – Alleluia."},"gospel":{"excerpt":"Lc 12, 1-7","info":"“Mọi sợi tóc trên đều các con cũng đã được đếm cả rồi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có nhiều đám đông dân chúng đứng chung quanh, đến nỗi chen đạp lẫn nhau, nên Chúa Giêsu bắt đầu dạy các môn đệ trước tiên rằng: “Các con hãy ý tứ giữ mình khỏi men biệt phái, nghĩa là sự giả hình. Không có gì che đậy mà không bị tiết lộ ra, và không có gì giấu kín mà chẳng biết được. Vì vậy, những điều các con nói trong nơi tối tăm, sẽ được nói ra nơi sáng sủa, và điều các con nói rỉ tai trong buồng kín, sẽ được rao giảng trên mái nhà.\r“Thầy bảo các con là những bạn hữu của Thầy rằng: Các con đừng sợ chi những kẻ giết được thân xác, rồi sau đó không thể làm gì hơn được nữa. Thầy sẽ chỉ cho các con biết phải sợ ai: Hãy sợ Ðấng, sau khi đã giết chết, còn có quyền ném vào địa ngục. Phải, Thầy bảo các con hãy sợ Ðấng ấy.\r“Chớ thì năm con chim sẻ không bán được hai đồng tiền sao? Thế mà không một con nào bị bỏ quên trước mặt Thiên Chúa. Hơn nữa, mọi sợi tóc trên đầu các con cũng đã được đếm cả rồi. Vậy các con đừng sợ: các con còn trọng hơn nhiều con chim sẻ”.","end":"Ðó là lời Chúa"}},
+        "5286": {"firstReading":{"excerpt":"(Năm II) Ep 1, 15-23","info":"“Thiên Chúa tôn Ðức Kitô làm đầu toàn thể Hội Thánh là thân thể Ngài”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, khi nghe biết lòng tin của anh em đối với Chúa Giêsu, và lòng mến của anh em đối với hết thảy các thánh, tôi không ngừng tạ ơn Chúa cho anh em, khi nhớ đến anh em trong kinh nguyện. Xin Thiên Chúa của Ðức Giêsu Kitô, Chúa chúng ta, là Cha vinh hiển, ban cho anh em thần trí khôn ngoan và mạc khải, để nhận biết Người. Xin cho mắt tâm hồn anh em được sáng suốt, để anh em biết thế nào là trông cậy vào ơn Người kêu gọi, thế nào là sự phong phú gia nghiệp vinh quang nơi các thánh, và thế nào là quyền năng vô cùng lớn lao của Người đối với chúng ta, là những kẻ tin, chiếu theo hành động của sức mạnh quyền năng Người, công việc mà Chúa đã thực hiện trong Ðức Kitô, tức là làm cho Ngài từ cõi chết sống lại, và đặt Ngài ngự bên hữu mình trên trời, vượt trên mọi cấp trật, các lãnh thần, quyền thần, dũng thần, và quản thần, vượt trên mọi danh hiệu được xưng hô cả đời này lẫn đời sau.\rChúa khiến mọi sự quy phục dưới chân Ngài, và tôn Ngài làm đầu toàn thể Hội Thánh là thân thể Ngài, và là sự sung mãn của Ðấng chu toàn mọi sự trong mọi người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 8, 2-3a. 4-5. 6-7","response":"Ðáp: Chúa đã đặt Con Chúa cai trị các công trình tay Chúa tác thành (c. 7).","verses":["Xướng: Lạy Chúa, lạy Chúa chúng con, lạ lùng thay danh Chúa khắp nơi hoàn cầu! Chúa đã nâng cao oai nghiêm Ngài trên cõi trời xanh. Từ miệng thiếu nhi và trẻ con đang bú sữa.","Xướng: Khi con ngắm cõi trời, công cuộc tay Chúa tạo ra, vầng trăng và muôn tinh tú mà Chúa gầy dựng, thì nhân loại là chi mà Chúa nhớ tới? Con người là chi mà Chúa để ý chăm nom?","Xướng: Chúa dựng nên con người kém thiên thần một chút, Chúa trang sức con người bằng danh dự với vinh quang; Chúa ban cho quyền hành trên công cuộc tay Ngài sáng tạo. Chúa đặt muôn vật dưới chân con người."]},"alleluia":{"verse":"Gc 1, 18","content":"alleluia! – Do ý định của Thiên Chúa, Người đã sinh chúng ta bằng lời sự thật, để chúng ta nên như của đầu mùa các tạo vật. – Alleluia."},"gospel":{"excerpt":"Lc 12, 8-12","info":"“Trong giờ ấy, Thánh Thần sẽ dạy các con phải nói thế nào”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hễ ai xưng nhận Thầy trước mặt người đời, thì Con Người cũng sẽ xưng nhận nó trước mặt các thiên thần của Thiên Chúa; nhưng ai chối bỏ Thầy trước mặt người đời, thì sẽ bị chối bỏ trước mặt thiên thần của Thiên Chúa. Và hễ kẻ nào nói phạm đến Con Người, thì nó sẽ được tha. Nhưng kẻ nào nói phạm thượng đến Thánh Thần, thì sẽ không được tha.\r“Khi người ta điệu các con vào các hội đường, đến trước mặt vua quan và chính quyền, các con chớ lo lắng phải thưa làm sao, hay phải nói thế nào, vì trong giờ ấy, Thánh Thần sẽ dạy các con phải nói thế nào”.","end":"Ðó là lời Chúa"}},
+        "5291": {"firstReading":{"excerpt":"(Năm II) Ep 2, 1-10","info":"“Người làm cho chúng ta sống lại trong Ðức Kitô, và đồng ngự trị trên nước trời”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, khi anh em đã chết vì những lỗi lầm và tội lỗi anh em, thì trong những tội lỗi đó, xưa kia anh em đã từng sống theo dòng thời gian của thế giới này, theo thủ lãnh chủ quyền của không khí này, tức là tà thần hiện giờ còn hoạt động trong những con người không vâng phục. Trong những tội lỗi đó, cả chúng tôi nữa, xưa kia tất cả chúng tôi cũng sống theo dục vọng xác thịt của chúng tôi, làm theo những thèm muốn xác thịt và những tư tưởng gian tà, và tự nhiên bấy giờ chúng tôi cũng là những con người đáng giận ghét như các người khác.\rNhưng Thiên Chúa là Ðấng giàu lòng từ bi, vì lòng yêu thương cao cả mà Người đã yêu thương chúng ta, đến đỗi khi tội lỗi làm chúng ta phải chết, thì Người làm cho chúng ta sống lại trong Ðức Kitô. Nhờ ơn Ngài mà chúng ta được cùng chung sống lại và đồng ngự trị trên nước trời trong Ðức Giêsu Kitô, để tỏ cho hậu thế được thấy sự phong phú dồi dào của ơn Chúa mà lòng nhân lành Chúa đã ban cho chúng ta trong Ðức Giêsu Kitô.\rVì chưng, bởi ơn Chúa, anh em được cứu rỗi nhờ đức tin. Ðiều đó không phải do anh em, vì đó là ân huệ của Chúa; cũng không phải là do việc làm, để không ai được tự phụ. Vì chúng ta là thụ tạo của Người, đã được tạo thành trong Ðức Giêsu Kitô, để làm các việc lành mà Chúa đã dự liệu, hầu chúng ta đem ra thực hành.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","response":"Ðáp: Chính Chúa đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người (c. 3b).","verses":["Xướng: Toàn thể địa cầu, hãy reo mừng Thiên Chúa, hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan với lòng hân hoan phấn khởi.","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người; ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Hãy vào trụ quan nhà Người với lời khen ngợi, vào hành lang với khúc ca vui, hãy tán dương, hãy chúc tụng danh Người.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn muôn thế hệ."]},"alleluia":{"verse":"Tv 129, 5","content":"alleluia! – Con hy vọng rất nhiều vào Chúa, linh hồn con trông cậy ở lời Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 12, 13-21","info":"“Những của ngươi tích trữ sẽ để lại cho ai?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có người trong đám đông thưa cùng Chúa Giêsu rằng: “Lạy Thầy, xin Thầy bảo anh tôi chia gia tài cho tôi”. Người bảo kẻ ấy rằng: “Hỡi người kia, ai đã đặt Ta làm quan xét, hoặc làm người chia gia tài cho các ngươi?” Rồi người bảo họ rằng: “Các ngươi hãy coi chừng, giữ mình tránh mọi thứ tham lam: vì chẳng phải sung túc mà đời sống được của cải bảo đảm cho đâu”.\rNgười lại nói với họ thí dụ này rằng: “Một người phú hộ kia có ruộng đất sinh nhiều hoa lợi, nên suy tính trong lòng rằng: “Tôi sẽ làm gì đây, vì tôi còn chỗ đâu mà tích trữ hoa lợi?” Ðoạn người ấy nói: “Tôi sẽ làm thế này, là phá các kho lẫm của tôi, mà xây những cái lớn hơn, rồi chất tất cả lúa thóc và của cải tôi vào đó, và tôi sẽ bảo linh hồn tôi rằng: “Hỡi linh hồn, ngươi có nhiều của cải dự trữ cho nhiều năm: ngươi hãy nghỉ ngơi, ăn uống vui chơi đi!” Nhưng Thiên Chúa bảo nó rằng: “Hỡi kẻ ngu dại, đêm nay người ta sẽ đòi linh hồn ngươi, thế thì những của ngươi tích trữ sẽ để lại cho ai?” Vì kẻ tích trữ của cải cho mình, mà không làm giàu trước mặt Chúa, thì cũng vậy”.","end":"Ðó là lời Chúa"}},
+        "5292": {"firstReading":{"excerpt":"(Năm II) Ep 2, 12-22","info":"“Chính Người là sự bình an của chúng ta, Người đã làm cho đôi bên nên một”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, khi ấy anh em không có Ðức Kitô, anh em bị đặt ra ngoài cộng đồng Israel, anh em là những người xa lạ đối với những giao ước, không được cậy trông lời hứa và cũng không được biết Thiên Chúa ở cõi đời này. Xưa kia anh em là những kẻ ở xa, thì nay trong Ðức Giêsu Kitô, anh em đã nên gần nhờ bửu huyết của Người. Chính Người là sự bình an của chúng ta, Người đã làm cho đôi bên nên một, đã phá đổ bức tường ngăn cách, tiêu diệt sự hận thù trong thân xác của Người, tức là bãi bỏ lề luật cũ với những thể lệ, để kiến tạo cả hai nên một người mới, đem lại bình an, dùng thập giá giải hoà hai dân tộc trong một thân thể với Thiên Chúa. Nơi Người, mối thù nghịch đã bị tiêu diệt, và Người đã đến loan báo Tin Mừng bình an cho anh em là những kẻ ở xa, và bình an cho những kẻ ở gần. Và chính nhờ Người mà chúng ta đôi bên được đến gần Cha trong cùng một Thần Trí.\rVì vậy, anh em không còn là khách trọ và khách qua đường nữa, nhưng là người đồng hương với các Thánh và là người nhà của Thiên Chúa: anh em đã được xây dựng trên nền tảng các Tông đồ và các Tiên tri, có chính Ðức Giêsu Kitô làm đá góc tường. Trong Người, tất cả toà nhà được xây dựng cao lên thành đền thánh trong Chúa; trong Người, cả anh em cũng được xây dựng làm một với nhau, để trở thành nơi Thiên Chúa ngự trong Thánh Thần.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 84, 9ab-10. 11-12. 13-14","response":"Ðáp: Chúa phán bảo về sự bình an cho dân tộc Người (c. 9).","verses":["Xướng: Tôi sẽ nghe Chúa là Thiên Chúa của tôi phán bảo điều chi? Chắc hẳn Người sẽ phán bảo về sự bình an. Vâng, ơn cứu độ Chúa gần đến cho những ai tôn sợ Chúa, để vinh quang Chúa ngự trị trong đất nước chúng tôi.","Xướng: Lòng nhân hậu và trung thành gặp gỡ nhau, đức công minh và sự bình an hôn nhau âu yếm. Từ mặt đất, đức trung thành sẽ nở ra, và đức công minh tự trời nhìn xuống.","Xướng: Vâng, Chúa sẽ ban cho mọi điều thiện hảo, và đất nước chúng tôi sẽ sinh bông trái. Ðức công minh sẽ đi trước thiên nhan Chúa, và ơn cứu độ theo sau lốt bước của Ngài."]},"alleluia":{"verse":"Ga 17, 17b và a","content":"alleluia! – Chúa phán: “Lời Cha là chân lý; xin hãy thánh hoá chúng trong sự thật”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Anh em hãy tỉnh thức và cầu nguyện luôn, hầu đủ sức đững vững trước mặt Con Người – Alleluia."},"gospel":{"excerpt":"Lc 12, 35-38","info":"“Phúc cho đầy tớ nào khi chủ về còn thấy tỉnh thức”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy thắt lưng, hãy cầm đèn cháy sáng trong tay, và hãy làm như người đợi chủ đi ăn cưới về, để khi chủ về gõ cửa, thì mở ngay cho chủ. Phúc cho những đầy tớ nào khi chủ về còn thấy tỉnh thức. Thầy bảo thật các con, chủ sẽ thắt lưng, xếp chúng vào bàn ăn, và đi lại hầu hạ chúng. Nếu canh hai hoặc canh ba, chủ trở về mà gặp thấy như vậy, thì phúc cho các đầy tớ ấy”.","end":"Ðó là lời Chúa"}},
+        "5293": {"firstReading":{"excerpt":"(Năm II) Ep 3, 2-12","info":"“Hiện nay mầu nhiệm của Ðức Kitô đã được mạc khải, các Dân ngoại được đồng thừa tự lời hứa”.","title":"Trích thư Thánh Phaolô Tồng đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em đã nghe biết Thiên Chúa ban phát ân sủng để cho tôi mưu ích cho anh em: vì nhờ ơn mạc khải mà tôi biết được sự mầu nhiệm, như tôi vừa mới viết ra trong ít lời trên kia. Ðọc những lời đó, anh em có thể nhận thức được sự am hiểu của tôi trong mầu nhiệm Ðức Kitô. Mầu nhiệm đó chưa hề tỏ ra cho con cái loài người ở các thế hệ khác được biết, nhưng hiện nay, đã được mạc khải cho các thánh Tông đồ và các tiên tri của Người, trong Thánh Thần. Và nhờ Tin Mừng, các Dân ngoại được nên đồng thừa tự, đồng một thân thể, và đồng thông phần lời hứa của Người trong Chúa Giêsu Kitô.\rTôi đã được nên người phục vụ Tin Mừng đó, do ân huệ Thiên Chúa đã ban cho tôi, bằng cách thi thố sức mạnh của Người. Tôi là kẻ hèn nhất trong các thánh, nhưng đã được ơn này là rao giảng cho Dân ngoại những sự giàu có không thể thấu hiểu được của Ðức Kitô, và soi sáng cho mọi người biết cách thức phân phát mầu nhiệm đã được ẩn giấu từ muôn thuở trong Thiên Chúa, Ðấng tạo thành vạn vật: khiến các chủ thần và quyền thần thiên quốc đều phải nhờ Hội Thánh mới biết được sự khôn ngoan muôn hình vạn trạng của Thiên Chúa, thể theo dự định từ trước muôn đời mà Ngài đã thi hành trong Ðức Giêsu Kitô, Chúa chúng ta. Trong Người, chúng ta được cậy trông và nhờ lòng tin vào Ngài, chúng ta mạnh dạn đến cùng Ngài.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Is 12, 2-3. 4bcd-5. 5-6","response":"Ðáp: Các ngươi sẽ hân hoan múc nước nơi suối Ðấng Cứu Ðộ (c. 3).","verses":["Xướng: Ðây Thiên Chúa là Ðấng Cứu Chuộc tôi, tôi sẽ tin tưởng mà hành động và không khiếp sợ: vì Chúa là sức mạnh, là Ðấng tôi ngợi khen, Người sẽ trở nên cho tôi phần rỗi.","Xướng: Hãy ca tụng Chúa và kêu cầu danh Người, hãy công bố cho các dân biết kỳ công của Chúa, hãy nhớ lại danh Chúa rất cao sang.","Xướng: Hãy ca tụng, vì Chúa làm nên những việc kỳ diệu, hãy cao rao việc đó trên khắp hoàn cầu. Hỡi người cư ngụ tại Sion, hãy nhảy mừng ca hát, vì Ðấng cao cả là Ðấng Thánh Israel ở giữa ngươi."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin mở rộng tầm con mắt của con, để quan chiêm những điều kỳ diệu trong luật Chúa. – Alleluia. (Hoặc đọc: )Alleluia, alleluia! – Anh em hãy canh thức và hãy sẵn sàng, vì chính giờ phút anh em không ngờ, thì Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Lc 12, 39-48","info":"“Người ta đã ban cho ai nhiều, thì sẽ đòi lại kẻ ấy nhiều”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Các con hãy hiểu biết điều này, là nếu chủ nhà biết giờ nào kẻ trộm đến, ắt sẽ tỉnh thức, không để nó đào ngạch nhà mình. Cho nên các con hãy sẵn sàng: vì giờ nào các con không ngờ, thì Con Người sẽ đến”.\rPhêrô thưa Người rằng: “Lạy Thầy, Thầy nói dụ ngôn đó chỉ về chúng con hay về mọi người?” Chúa phán: “Vậy con nghĩ ai là người quản lý trung tín khôn ngoan mà chủ đã đặt coi sóc gia nhân mình, để đến giờ phân phát phần lúa thóc cho họ? Phúc cho đầy tớ đó, khi chủ về, thấy nó đang làm như vậy. Thầy bảo thật các con, chủ sẽ đặt người đó trông coi tất cả gia sản mình. Nhưng nếu đầy tớ ấy nghĩ trong lòng rằng: “Chủ tôi về muộn”, nên đánh đập tớ trai tớ gái, ăn uống say sưa: chủ người đầy tớ ấy sẽ về vào ngày nó không ngờ, vào giờ nó không biết, chủ sẽ loại trừ nó, và bắt nó chung số phận với những kẻ bất trung. Nhưng đầy tớ nào đã biết ý chủ mình mà không chuẩn bị sẵn sàng, và không làm theo ý chủ, thì sẽ bị đòn nhiều. Còn đầy tớ nào không biết ý chủ mình mà làm những sự đáng trừng phạt, thì sẽ bị đòn ít hơn. Vì người ta đã ban cho ai nhiều, thì sẽ đòi lại kẻ ấy nhiều, và đã giao phó cho ai nhiều, thì sẽ đòi kẻ ấy nhiều hơn”.","end":"Ðó là lời Chúa"}},
+        "5294": {"firstReading":{"excerpt":"(Năm II) Ep 3, 14-21","info":"“Anh em đâm rễ sâu và lập nền kiên cố trong đức mến, để anh em được sung mãn trong mọi sự viên mãn của Thiên Chúa”.","title":"Trích thư Thánh Phalô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, tôi quỳ gối trước mặt Cha Ðức Giêsu Kitô, Chúa chúng ta. Người là nguồn gốc mọi danh phận làm cha trên trời dưới đất. Xin Người chiếu theo sự giàu có vinh quang của Người và nhờ Thánh Thần của Người, thêm sức mạnh cho anh em được nên người thiêng liêng, và nhờ đức tin, anh em được Ðức Kitô ngự trong lòng anh em, làm cho anh em đâm rễ sâu và lập nền kiên cố trong đức mến, để anh em được hiệp cùng các thánh mà hiểu biết chiều rộng, dài, cao, sâu, và cũng được biết lòng mến của Ðức Kitô vượt quá trí hiểu loài người, để anh em được sung mãn trong mọi sự viên mãn của Thiên Chúa.\rNguyện cho Ðấng toàn năng ban cho chúng ta mọi sự, dư đầy quá sự chúng ta cầu xin hay hoài bão, theo như quyền lực Người thi thố trong chúng ta: nguyện cho Người được vinh quang trong Hội Thánh và trong Ðức Giêsu Kitô, qua mọi thế hệ muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 32, 1-2. 4-5. 11-12. 18-19","response":"Ðáp: Ðịa cầu đầy ân sủng Chúa (c. 5b).","verses":["Xướng: Người hiền đức, hãy hân hoan trong Chúa. Ca ngợi là việc của những kẻ lòng ngay. Hãy ngợi khen Chúa với cây đàn cầm, với đàn mười dây, hãy xướng ca mừng Chúa.","Xướng: Vì lời Chúa là lời chân chính, bao việc Chúa làm đều đáng cậy tin. Chúa yêu chuộng điều công minh chính trực, địa cầu đầy ân sủng Chúa.","Xướng: Ý định của Chúa tồn tại muôn đời, tư tưởng lòng Người còn mãi đời nọ sang đời kia. Phúc thay quốc gia mà Chúa là Chúa tể, dân tộc mà Chúa chọn làm cơ nghiệp riêng mình.","Xướng: Kìa Chúa để mắt coi những kẻ kính sợ Người, nhìn xem những ai cậy trông ân sủng của Người, để cứu gỡ họ khỏi tay thần chết, và nuôi dưỡng họ trong cảnh cơ hàn."]},"alleluia":{"verse":"Lc 19, 38","content":"alleluia! – Chúc tụng Ðức Vua, Ðấng nhân danh Chúa mà đến; bình an trên trời và vinh quang trên các tầng trời. – Alleluia."},"gospel":{"excerpt":"Lc 12, 49-53","info":"“Thầy không đến để đem bình an, nhưng đem sự chia rẽ”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Thầy đã đến đem lửa xuống thế gian, và Thầy mong muốn biết bao cho lửa cháy lên. Thầy phải chịu một phép rửa, và lòng Thầy khắc khoải biết bao cho đến khi hoàn tất. Các con tưởng Thầy đến để đem sự bình an xuống thế gian ư? Thầy bảo các con: không phải thế, nhưng Thầy đến để đem sự chia rẽ. Vì từ nay, năm người trong một nhà sẽ chia rẽ nhau, ba người chống lại hai, và hai người chống lại ba: cha chống đối con trai, và con trai chống đối cha; mẹ chống đối con gái, và con gái chống đối mẹ; mẹ chồng chống đối nàng dâu, và nàng dâu chống đối mẹ chồng”.","end":"Ðó là lời Chúa"}},
+        "5295": {"firstReading":{"excerpt":"(Năm II) Ep 4, 1-6","info":"“Chỉ có một thân thể, một Chúa, một đức tin và một phép rửa”.","title":"Trích thư Thánh Phaolô tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, tôi là tù nhân trong Chúa, tôi khuyên anh em hãy ăn ở xứng đáng với ơn kêu gọi anh em đã lãnh nhận. Anh em hãy hết lòng khiêm nhượng, hiền hậu, nhẫn nại, chịu đựng nhau trong đức ái: hãy lo bảo vệ sự hợp nhất tinh thần, lấy bình an hoà thuận làm dây ràng buộc: Chỉ có một thân thể và một tinh thần, cũng như anh em đã được kêu gọi đến cùng một niềm hy vọng. Chỉ có một Chúa, một đức tin, một phép rửa. Chỉ có một Thiên Chúa là Cha hết mọi người, Ðấng vượt trên hết mọi người, hoạt động nơi mọi người, và ở trong mọi người.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Lạy Chúa, đó là dòng dõi người tìm kiếm long nhan Chúa (x. c. 6).","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Người xây dựng nó trên biển cả, và Người giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Người? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Giacóp."]},"alleluia":{"verse":"Ga 15, 15b","content":"alleluia! – Chúa phán: “Thầy gọi các con là bạn hữu, vì tất cả những gì Thầy đã nghe biết nơi Cha Thầy, thì Thầy đã cho các con biết”. – Alleluia."},"gospel":{"excerpt":"Lc 12, 54-59","info":"“Các ngươi biết tìm hiểu diện mạo trời đất? Còn về thời đại này, sao các ngươi không tìm hiểu?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán bảo dân chúng rằng: “Khi các ngươi xem thấy đám mây nổi lên ở phía tây, lập tức các ngươi nói rằng: Trời sắp mưa; và sự thật xảy ra như thế. Và khi gió nam thổi đến, thì các ngươi nói: Trời sắp nóng nực. Và việc đã xảy ra như thế. Hỡi những kẻ giả hình, các ngươi biết tìm hiểu diện mạo của trời đất, còn về thời đại này, sao các ngươi không tìm hiểu? Tại sao các ngươi không tự mình phê phán điều gì phải lẽ? Thế nên, khi ngươi cùng với kẻ đối phương ra trước mặt quan quyền, thì đang lúc đi dọc đường, ngươi hãy cố lo liệu cho ổn thoả với nó đi, kẻo nó lôi ngươi đến trước quan toà, và quan toà trao ngươi cho lý hình và lý hình tống ngươi vào ngục. Ta bảo cho ngươi hay, ngươi sẽ không thể ra khỏi đó cho đến khi nào trả xong đồng xu cuối cùng”.","end":"Ðó là lời Chúa"}},
+        "5296": {"firstReading":{"excerpt":"(Năm II) Ep 4, 7-16","info":"“Ðức Kitô là đầu, nhờ Người mà toàn thân thể được lớn lên”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô,","content":"Anh em thân mến, mỗi người trong chúng ta đã được ban ơn tuỳ theo lượng Ðức Kitô ban cho. Vì thế có lời rằng: “Người lên nơi cao điệu tù nhân về, Người đã ban ân huệ cho mọi người”. Nói rằng “Người lên” nghĩa là gì nếu không phải là trước Người đã xuống những miền hạ tầng trái đất sao? Ðấng đã xuống cũng chính là Ðấng đã vượt lên trên mọi tầng trời, để làm viên mãn vạn vật.\rVà chính Người đã ban cho kẻ làm Tông đồ, người làm Tiên tri, còn kẻ khác thì rao giảng Tin Mừng, kẻ khác nữa làm chủ chăn và thầy dạy, để tổ chức các thánh nhân nên hoàn bị hầu chu toàn chức vụ, xây dựng thân thể Ðức Kitô, cho đến khi mọi người chúng ta hợp nhất trong đức tin, và trong sự nhận biết Con Thiên Chúa, trở nên người trưởng thành, đạt đến tầm tuổi người của Ðức Kitô viên mãn, để chúng ta không còn là trẻ nhỏ bị lắc lư và lôi cuốn theo mọi chiều gió học thuyết, nghiêng theo sự lừa dối của người đời, và mưu mô xảo trá làm cho lạc lõng trong sự sai lầm.\rNhưng chúng ta hãy thực hiện chân lý theo đức ái, hãy tấn tới bằng mọi phương tiện trong Ðức Kitô là đầu. Do nơi Người mà toàn thân thể được hoà hợp với nhau, kết cấu với nhau bằng những dây liên lạc cung cấp sinh lực tuỳ theo phận sự của mỗi phần, làm cho thân thể lớn lên và tự xây dựng lấy mình trong đức mến.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa” (c. 1).","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng tôi sẽ tiến vào nhà Chúa”. Hỡi Giêrusalem, chân chúng tôi đang đứng nơi cửa thành rồi.","Xướng: Giêrusalem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc, các bộ lạc của Chúa tiến lên.","Xướng: Theo luật pháp của Israel, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ðavít."]},"alleluia":{"verse":"Tv 118, 18","content":"alleluia! – Lạy Chúa, xin mở rộng tầm con mắt của con, để quan chiêm những điều kỳ diệu trong luật Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 13, 1-9","info":"“Nếu các ngươi không ăn năn hối cải, thì tất cả các ngươi cũng sẽ bị huỷ diệt như vậy”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có những kẻ thuật lại cho Chúa Giêsu về việc quan Philatô giết mấy người Galilê, làm cho máu họ hoà lẫn với máu các vật họ tế sinh. Người lên tiếng bảo: “Các ngươi tưởng rằng mấy người xứ Galilê đó bị ngược đãi như vậy là những người tội lỗi hơn tất cả những người khác ở xứ Galilê ư? Ta bảo các ngươi: không phải thế. Nhưng nếu các ngươi không ăn năn hối cải, thì tất cả các ngươi cũng sẽ bị huỷ diệt như vậy. Cũng như mười tám người bị tháp Silôe đổ xuống đè chết, các ngươi tưởng họ tội lỗi hơn những người khác ở Giêrusalem ư? Ta bảo các ngươi: không phải thế; nhưng nếu các ngươi không ăn năn hối cải, thì tất cả các ngươi cũng sẽ bị huỷ diệt như vậy”.\rNgười còn nói với họ dụ ngôn này: “Có người trồng một cây vả trong vườn nho mình. Ông đến tìm quả ở cây đó mà không thấy, ông liền bảo người làm vườn rằng: Kìa, đã ba năm nay ta đến tìm quả cây vả này mà không thấy có. Anh hãy chặt nó đi, còn để nó choán đất làm gì!” Nhưng anh ta đáp rằng: “Thưa ông, xin để cho nó một năm nay nữa, tôi sẽ đào đất chung quanh và bón phân: may ra nó có quả chăng, bằng không năm tới ông sẽ chặt nó đi”.","end":"Ðó là lời Chúa"}},
+        "5301": {"firstReading":{"excerpt":"(Năm II) Ep 4, 32 – 5, 8","info":"“Anh em hãy sống trong tình thương như Ðức Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em hãy ăn ở hiền hậu với nhau, hãy thương xót và tha thứ cho nhau, như Thiên Chúa đã tha thứ cho anh em trong Ðức Kitô.\rVậy anh em hãy bắt chước Thiên Chúa, như con cái rất yêu dấu của Người: hãy sống trong tình thương, như Ðức Kitô đã yêu thương chúng ta và phó mình làm của dâng và lễ tế thơm tho ngọt ngào dâng lên Thiên Chúa vì chúng ta.\rCòn như tội tà dâm và mọi thứ tội ô uế hay là gian tham, thì dù nhắc đến tên chúng cũng đừng nói tới nơi anh em, như thế mới xứng hợp với các thánh. Cả những chuyện hoa tình, tục tĩu và giễu cợt, tất cả những cái đó đều bất xứng. Tốt hơn là hãy nói những lời cảm tạ Chúa.\rBởi chưng anh em hãy biết rõ điều này là: tất cả những kẻ tà dâm, ô uế hay tham lam, là một thứ nô lệ thần tượng, đều không được hưởng phần gia nghiệp trong nước của Ðức Kitô và Thiên Chúa. Ðừng để ai lấy hão huyền mà phỉnh gạt anh em, vì những điều ấy mà cơn thịnh nộ của Thiên Chúa đổ xuống trên những con cái ngỗ nghịch. Vậy anh em chớ thông đồng với những kẻ ấy. Xưa kia anh em là sự tối tăm, nhưng hiện nay anh em là sự sáng trong Chúa. Anh em hãy ăn ở như con cái sự sáng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Anh em hãy bắt chước Thiên Chúa, như con cái rất yêu dấu của Người (c. Ep 5, 1).","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng. Nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa: lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt.","Xướng: Kẻ gian ác không được như vậy; họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong."]},"alleluia":{"verse":"Tv 94, 8ab","content":"alleluia! – Ước chi hôm nay các bạn nghe tiếng Chúa và đừng cứng lòng. – Alleluia."},"gospel":{"excerpt":"Lc 13, 10-17","info":"“Chớ thì không nên tháo xiềng xích buộc người con gái của Abraham này trong ngày Sabbat sao?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, nhân ngày Sabbat, Chúa Giêsu giảng dạy trong một hội đường. Và đây có một người đàn bà bị quỷ ám làm cho bà đau yếu đã mười tám năm. Bà bị khòm lưng, hoàn toàn không thể trông lên được. Khi Chúa Giêsu xem thấy bà, Người liền gọi bà đến mà bảo rằng: “Hỡi bà kia, bà được khỏi tật của bà”. Rồi Người đặt tay trên bà ấy, tức thì bà đứng thẳng lên và tôn vinh Thiên Chúa.\rNhưng viên trưởng hội đường tức giận, vì Chúa Giêsu chữa bệnh trong ngày Sabbat, nên ông cất tiếng bảo dân chúng rằng: “Có sáu ngày người ta phải làm việc: vậy thì các người hãy đến xin chữa bệnh trong ngày đó, chớ đừng đến trong ngày Sabbat”.\rChúa trả lời và bảo ông ta rằng: “Hỡi những kẻ giả hình, chớ thì trong ngày Sabbat, mỗi người trong các ông không thả bò hay lừa của mình ra khỏi chuồng mà dẫn nó đi uống nước sao? Phương chi người con gái của Abraham này, Satan cột trói nó đã mười tám năm nay, chớ thì không nên tháo xiềng xích buộc nó trong ngày Sabbat sao?”\rKhi Người nói thế, tất cả những kẻ chống đối Người đều hổ thẹn, và toàn dân vui mừng vì những việc lạ lùng Người đã thực hiện.","end":"Ðó là lời Chúa"}},
+        "5302": {"firstReading":{"excerpt":"(Năm II) Ep 5, 21-33","info":"“Mầu nhiệm này thật lớn lao; trong Ðức Kitô và trong Hội Thánh”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, anh em hãy phục tùng nhau trong sự kính sợ Ðức Kitô. Người vợ hãy phục tùng chồng mình, như đối với Chúa: vì chồng là đầu người vợ, như Ðức Kitô là đầu Hội Thánh: chính Người là Ðấng Cứu Chuộc thân thể mình. Nhưng như Hội Thánh phục tùng Ðức Kitô thể nào, thì người vợ cũng phục tùng chồng mình trong mọi sự như vậy.\rHỡi những người làm chồng, hãy yêu thương vợ mình, như Ðức Kitô yêu thương Hội Thánh và phó mình vì Hội Thánh để thánh hoá Hội Thánh, khi Người dùng nước và lời hằng sống rửa sạch Hội Thánh, ngõ hầu bày tỏ cho mình một Hội Thánh vinh quang, không vết nhơ, không nhăn nheo, hay phải điều gì khác tương tự, nhưng thánh thiện và vẹn tuyền.\rCũng thế, người chồng phải yêu thương vợ mình như chính thân mình. Ai yêu thương vợ mình, là yêu thương chính mình. Vì không ai ghét thân xác mình bao giờ, nhưng nuôi dưỡng và nâng niu nó, như Ðức Kitô đối với Hội Thánh: vì chúng ta là chi thể của thân xác Người, do xương thịt Người. “Bởi thế, người ta lìa bỏ cha mẹ mình mà kết hợp với vợ mình: và cả hai nên một thân xác”. Mầu nhiệm này thật lớn lao, tôi muốn nói về Ðức Kitô và Hội Thánh. Dù sao, mỗi người trong anh em hãy yêu vợ như bản thân mình, còn vợ thì hãy kính sợ chồng.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 127, 1-2. 3. 4-5","response":"Ðáp: Phúc thay những bạn nào tôn sợ Thiên Chúa (c. 1a).","verses":["Xướng: Phúc thay những bạn nào tôn sợ Thiên Chúa, bạn nào ăn ở theo đường lối của Người. Công quả tay bạn làm ra, bạn được an hưởng, bạn được hạnh phúc và sẽ gặp may.","Xướng: Hiền thê bạn như cây nho đầy hoa trái, trong gia thấy nội cung nhà bạn, con cái bạn như những chồi non của khóm ô liu, ở chung quanh bàn ăn của bạn.","Xướng: Ðó là phúc lộc dành để cho người biết tôn sợ Thiên Chúa. Nguyện Thiên Chúa từ Sion chúc phúc cho bạn, để bạn nhìn thấy cảnh thịnh đạt của Giêrusalem, hết mọi ngày trong đời sống của bạn."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa và để con hết lòng vâng theo luật đó. – Alleluia."},"gospel":{"excerpt":"Lc 13, 18-21","info":"“Hạt cải mọc lên và trở thành một cây to”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán rằng: “Nước Thiên Chúa giống như cái gì? Và Ta sẽ so sánh nước đó với cái gì? Nước đó giống như hạt cải mà người kia lấy gieo trong vườn mình. Nó mọc lên và trở thành một cây to, và chim trời đến nương náu trên ngành nó”.\rNgười lại phán rằng: “Ta sẽ so sánh Nước Thiên Chúa với cái gì? Nước đó giống như tấm men mà người đàn bà kia lấy bỏ vào ba đấu bột, cho tới khi tất cả khối đều dậy men”.","end":"Ðó là lời Chúa"}},
+        "5303": {"firstReading":{"excerpt":"(Năm II) Ep 6, 1-9","info":"“Không phải phụng sự loài người, nhưng là tôi tớ của Ðức Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Hỡi những kẻ làm con cái, hãy vâng phục cha mẹ trong Chúa: đó là lẽ phải. Hãy thảo kính cha mẹ ngươi, đó là giới răn thứ nhất kèm theo lời hứa rằng “để ngươi được phần phúc và sống lâu dài trên địa cầu”.\rCòn phần anh em là những kẻ làm cha mẹ, anh em chớ làm cho con cái anh em tức giận, nhưng hãy giáo dục chúng theo lời dạy bảo và khuyên răn của Chúa.\rHỡi những kẻ làm nô lệ, hãy vâng phục các chủ nhân, với lòng tôn sợ, kính nể, và chân thành như vâng phục Ðức Kitô: không phải vâng phục chiếu lệ trước mắt, như để lấy lòng người ta, nhưng như những tôi tớ của Ðức Kitô, tận tâm vâng theo thánh ý Thiên Chúa, hãy chí thú phục vụ, như phục vụ Thiên Chúa, chớ không phải loài người: vì biết rằng hễ ai làm điều gì lành, sẽ được Chúa ban trả sự lành, dầu kẻ ấy là nô lệ hay tự do. Phần anh em là những chủ nhân, anh em hãy cư xử như vậy đối với họ, chớ doạ nạt, vì biết rằng Chúa của họ cũng là Chúa của anh em ngự trên trời: Người không tây vị một ai.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 144, 10-11. 12-13ab. 13cd-14","response":"Ðáp: Chúa trung thành trong mọi lời Ngài phán (c. 13c).","verses":["Xướng: Lạy Chúa, mọi công cuộc của Chúa hãy ca ngợi Chúa, và các thánh nhân của Ngài hãy chúc tụng Ngài, Thiên hạ hãy nói lên vinh quang nước Chúa, và hãy đề cao quyền năng của Ngài. – Ðáp.","Xướng: Ðể con cái loài người nhận biết quyền năng và vinh quang cao cả nước Chúa. Nước Ngài là nước vĩnh cửu muôn đời, chủ quyền Ngài tồn tại qua muôn thế hệ. – Ðáp.","Xướng: Chúa trung thành trong mọi lời Ngài phán, và thánh thiện trong mọi việc Ngài làm. Chúa nâng đỡ hết thảy những ai sa ngã, và cho mọi kẻ khòm lưng đứng thẳng lên."]},"alleluia":{"verse":"Tv 118, 135","content":"alleluia! – Xin tỏ cho tôi tớ Chúa thấy long nhan hiền hậu, và dạy bảo con những thánh chỉ của Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 13, 22-30","info":"“Người ta sẽ từ đông sang tây đến dự tiệc trong nước Chúa”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu rảo qua các đô thị và làng mạc, vừa giảng dạy vừa đi về Giêrusalem. Có kẻ hỏi Người rằng: “Lạy Thầy, phải chăng chỉ có một số ít sẽ được cứu độ?” Nhưng Người phán cùng họ rằng: “Các ngươi hãy cố gắng vào qua cửa hẹp, vì Ta bảo các ngươi biết: nhiều người sẽ tìm vào mà không vào được. Khi chủ nhà đã vào đóng cửa lại, thì lúc đó các ngươi đứng ngoài mới gõ cửa mà rằng: “Thưa ngài, xin mở cửa cho chúng tôi”. Chủ sẽ trả lời các ngươi rằng: “Ta không biết các ngươi từ đâu tới”. Bấy giờ các ngươi mới nói rằng: “Chúng tôi đã ăn uống trước mặt Ngài và Ngài đã giảng dạy giữa các công trường của chúng tôi”. Nhưng chủ sẽ trả lời các ngươi rằng: “Ta không biết các ngươi từ đâu mà tới, hỡi những kẻ làm điều gian ác, hãy lui ra khỏi mặt ta”.\rKhi các ngươi sẽ thấy Abraham, Isaac, Giacóp và tất cả các tiên tri ở trong nước Thiên Chúa, còn các ngươi bị loại ra ngoài, nơi đó các ngươi sẽ khóc lóc nghiến răng. Và người ta sẽ từ đông chí tây, từ bắc chí nam đến dự tiệc trong nước Thiên Chúa. Phải, có những người sau hết sẽ trở nên trước hết, và những người trước hết sẽ nên sau hết”.","end":"Ðó là lời Chúa"}},
+        "5304": {"firstReading":{"excerpt":"(Năm II) Ep 6, 10-20","info":"“Anh em hãy mặc lấy mã giáp của Thiên Chúa để có thể đứng vững”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Êphêxô.","content":"Anh em thân mến, về tương lai, anh em hãy can đảm trong Chúa, và trong quyền năng sức mạnh của Người. Anh em hãy mặc lấy mã giáp của Thiên Chúa, để anh em có thể chống lại được với những mưu chước ma quỷ. Bởi vì chúng ta không những chiến đấu với huyết nhục, mà còn chiến đấu với kẻ chấp chính và quyền thế, với kẻ cai quản thế giới u minh này, và những ác thần trên không gian. Bởi đó, anh em hãy mặc lấy mã giáp của Thiên Chúa, để có thể kháng cự được trong ngày đen tối, và đứng vững sau khi bình định được tất cả. Vậy anh em hãy đứng vững, thắt đai lưng chân lý, mặc áo giáp công chính, và chân mang giày để sẵn sàng truyền bá Tin Mừng hoà bình. Anh em hãy luôn luôn mang khiên thuẫn đức tin, nhờ đó anh em dập tắt được mọi tên lửa kẻ cực ác. Anh em hãy nhận lấy mũ chiến cứu độ và cầm gươm của Thánh Thần, (tức là lời của Thiên Chúa).\rBằng mọi lời cầu xin và khẩn nguyện, anh em hãy nguyện cầu mọi lúc trong Thánh Thần. Hãy tỉnh thức ân cần lo việc đó, và cũng hãy cầu nguyện cho tất cả các thánh. Hãy cầu nguyện cho cả tôi nữa, để tôi được lợi khẩu khi mở miệng, và can đảm rao giảng mầu nhiệm Tin Mừng mà tôi là sứ giả ngay trong lúc phải mang xiềng xích, hầu khi rao giảng, tôi mạnh dạn nói năng như tôi phải nói.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 143, 1. 2. 9-10","response":"Ðáp: Ôi Ðá Tảng của con, chúc tụng Chúa! (c. 1a).","verses":["Xướng: Ôi Ðá Tảng của con, chúc tụng Chúa, là Ðấng rèn luyện cho tay con biết đấu tranh, cho các ngón tay con thiện nghề chinh chiến.","Xướng: Chúa là Tình thương và là chiến luỹ, là Ðấng phù trợ và giải phóng con, Chúa là khiên thuẫn, là chỗ con nương náu. Ngài bắt chư dân phải khuất phục con.","Xướng: Ôi Thiên Chúa, con sẽ ca mừng Ngài bài ca mới, với cây đàn mười dây con sẽ ca mừng Ngài, vì Ngài đã ban cho các vua chiến thắng, đã giải phóng Ðavít là tôi tớ của Ngài."]},"alleluia":{"verse":"x. Ep 1, 17-18","content":"alleluia! – Cha của Ðức Giêsu Kitô, Chúa chúng ta, đã soi lòng trí để chúng ta biết thế nào là sự cậy trông Chúa kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Lc 13, 31-35","info":"“Không lẽ một tiên tri phải giết chết ngoài thành Giêrusalem?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Trong ngày ấy, có mấy người biệt phái đến gần thưa Chúa Giêsu rằng: “Xin Thầy lên đường và đi khỏi đây, vì Hêrôđê toan giết Thầy”. Người trả lời: “Các ông hãy đi nói với con cáo đó rằng: “Ðây Ta trừ quỷ và chữa lành bệnh tật hôm nay và ngày mai, rồi ngày thứ ba Ta hoàn tất cuộc đời. Nhưng hôm nay, ngày mai và ngày hôm sau nữa, Ta còn phải đi đường, vì không lẽ một tiên tri bị giết chết ngoài thành Giêrusalem”.\r“Ôi Giêrusalem, Giêrusalem! Ngươi giết hại các tiên tri và ném đá những người đã được sai đến cùng ngươi. Ðã bao lần Ta muốn tụ họp con cái ngươi, như gà mẹ ấp ủ gà con dưới cánh, thế mà ngươi đã không muốn. Thì đây, nhà các ngươi sẽ bị bỏ hoang vu. Nhưng Ta bảo cho các ngươi hay: Các ngươi sẽ không còn xem thấy Ta, cho đến khi các ngươi sẽ nói rằng: “Chúc tụng Ðấng nhân danh Chúa mà đến!”","end":"Ðó là lời Chúa"}},
+        "5305": {"firstReading":{"excerpt":"(Năm II) Pl 1, 1-11","info":"“Ðấng đã khởi sự trong anh em công việc tốt lành, sẽ làm hoàn tất cho đến ngày của Ðức Kitô”.","title":"Khởi đầu bức thư của Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Phaolô và Timôthêu, tôi tớ của Ðức Giêsu Kitô, kính gửi tất cả các thánh trong Ðức Giêsu Kitô ở thành Philípphê, cùng với các chủ tịch giáo đoàn và các phụ tá. Nguyện chúc ân sủng và bình an của Thiên Chúa là Cha chúng ta, và của Ðức Giêsu Kitô, ở cùng anh em!\rTôi luôn luôn cảm tạ Thiên Chúa của tôi mỗi khi nhớ tới anh em, trong mọi kinh nguyện mà tôi hân hoan cầu xin cho anh em, vì anh em đã góp phần rao giảng Tin Mừng ngay từ ngày đầu tiên cho tới bây giờ.\rTôi tin tưởng điều này là Ðấng đã khởi sự trong anh em công việc tốt lành đó, sẽ làm hoàn tất cho đến ngày của Ðức Giêsu Kitô. Mà tôi tưởng nghĩ về mọi người anh em như thế thì chính đáng: vì tôi tích để anh em trong lòng tôi, dù khi tôi mang xiềng xích, dù lúc tôi biện hộ hay củng cố Tin Mừng, mọi người anh em đều thông phần vào sự vui mừng của tôi. Thực, có Thiên Chúa làm chứng cho tôi rằng: Tôi trìu mến tất cả anh em trong lòng Ðức Giêsu Kitô là dường nào. Ðiều tôi khẩn nguyện là lòng yêu mến của anh em mỗi ngày một thêm chan chứa hơn, trong sự thông biết và mọi sự suy hiểu, để anh em biết xác định những điều tốt lành hơn, hầu giữ mình trong sạch và không gì đáng trách trong ngày của Ðức Kitô, dư đầy hoa quả công chính, nhờ Ðức Giêsu Kitô, để tôn vinh và ngợi khen Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 110, 1-2. 3-4. 5-6","response":"Ðáp: Vĩ đại thay công cuộc của Chúa (c. 2a).","verses":["Xướng: Tôi sẽ ca tụng Chúa hết lòng, trong nhóm hiền nhân và trong Công hội. Vĩ đại thay công cuộc của Chúa tôi, thực đáng cho những người mến yêu quan tâm học hỏi!","Xướng: Công cuộc của Chúa là sự hùng vĩ oai nghiêm, và đức công minh của Người muôn đời tồn tại. Chúa đã làm những điều lạ lùng đáng nhớ, Người thực là Ðấng nhân hậu từ bi.","Xướng: Chúa đã ban lương thực cho những ai tôn sợ Ngài, cho tới muôn đời Ngài vẫn nhớ lời minh ước. Chúa tỏ cho dân Ngài thấy công cuộc quyền năng của Ngài, hầu ban cho họ được phần sản nghiệp của chư dân."]},"alleluia":{"verse":"Tv 118, 36a và 29b","content":"alleluia! – Lạy Chúa, xin nghiêng lòng con theo lời Chúa răn bảo, và xin rộng tay ban luật pháp của Chúa cho con. – Alleluia."},"gospel":{"excerpt":"Lc 14, 1-6","info":"“Trong ngày Sabbat, ai trong các ông có con lừa hay con bò rơi xuống giếng mà không kéo nó lên sao?”","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, vào một ngày Sabbat, Chúa Giêsu vào dùng bữa trong nhà một thủ lãnh biệt phái, thì những người hiện diện ở đó dòm xét Người. Bấy giờ có một người mắc bệnh thuỷ thũng ở trước mặt Người. Chúa Giêsu lên tiếng hỏi các Luật sĩ và biệt phái rằng: “Trong ngày Sabbat, có được phép chữa bệnh không?” Các ông ấy làm thinh. Bấy giờ Người kéo kẻ ấy lại, và chữa lành, rồi cho về. Ðoạn Người bảo các ông rằng: “Trong ngày Sabbat, ai trong các ông có con lừa hay con bò rơi xuống giếng mà không lập tức kéo nó lên sao?” Nhưng các ông không thể trả lời câu hỏi ấy.","end":"Ðó là lời Chúa"}},
+        "5306": {"firstReading":{"excerpt":"(Năm II) Pl 1, 18b-26","info":"“Ðối với tôi, sống là Ðức Kitô, còn chết là một mối lợi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Anh em thân mến, miễn là Ðức Kitô vẫn được rao giảng, đó là điều làm tôi vui mừng, và tôi sẽ còn vui mừng mãi. Vì chưng tôi biết rằng nhờ lời cầu nguyện của anh em, và nhờ ơn Thánh Thần của Ðức Giêsu Kitô giúp sức, điều đó sẽ đưa tôi đến ơn cứu độ, theo sự tôi chờ đợi và hy vọng, tôi sẽ không hổ thẹn chút nào, trái lại tôi vẫn hoàn toàn tin tưởng như mọi khi, và giờ đây, dù tôi sống hay tôi chết, Ðức Kitô sẽ được vẻ vang trong thân xác tôi.\rVì đối với tôi, sống là Ðức Kitô, còn chết là một mối lợi. Nhưng nếu sống trong xác thịt này đem lại cho tôi kết quả trong việc làm, thì tôi không biết phải chọn đàng nào. Tôi đang lúng túng trong hai điều này: là ước ao chết để được ở với Ðức Kitô thì tốt hơn bội phần, nhưng cứ ở lại trong xác thịt thì cần thiết cho anh em.\rMột khi tin tưởng điều đó, tôi biết rằng tôi sẽ còn ở lại và sẽ lưu lại với tất cả anh em, để anh em được tấn tới và được hân hoan trong niềm tin, ngõ hầu anh em vì tôi mà được tràn đầy hiên ngang trong Ðức Kitô, bởi tôi trở lại với anh em một lần nữa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 41, 2. 3. 5bcd","response":"Ðáp: Hồn tôi khát Chúa Trời, Chúa Trời hằng sống (c. 3a).","verses":["Xướng: Như nai rừng khát mong nguồn nước, hồn con khát Chúa, ôi Chúa trời con! – Ðáp.","Xướng: Hồn tôi khát Chúa Trời, Chúa Trời hằng sống, ngày nào tôi được tìm về ra mắt Chúa Trời? – Ðáp.","Xướng: Tôi nhớ lúc xưa đi giữa muôn người, tôi đứng đầu đưa dân tiến vào nhà Ðức Chúa Trời, giữa muôn tiếng reo mừng, ca ngợi."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai Lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Lc 14, 1. 7-11","info":"“Hễ ai nhắc mình lên, sẽ phải hạ xuống, và ai hạ mình xuống, sẽ được nhắc lên”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu vào nhà một thủ lãnh các người biệt phái để dùng bữa, và họ dò xét Người. Người nhận thấy cách những kẻ được mời chọn chỗ nhất, nên nói với họ dụ ngôn này rằng:\r“Khi có ai mời ngươi dự tiệc cưới, ngươi đừng ngồi vào chỗ nhất, kẻo có người trọng hơn ngươi cũng được mời dự tiệc với ngươi, và chủ tiệc đã mời ngươi và người ấy, đến nói với ngươi rằng: “Xin ông nhường chỗ cho người này”, bấy giờ ngươi sẽ phải xấu hổ đi ngồi vào chỗ rốt hết. Nhưng khi ngươi được mời, hãy đi ngồi vào chỗ rốt hết, để khi người mời ngươi đến nói với ngươi rằng: “Hỡi bạn, xin mời bạn lên trên”, bấy giờ ngươi sẽ được danh dự trước mặt những người dự tiệc.\r“Vì hễ ai nhắc mình lên, sẽ phải hạ xuống, và ai hạ mình xuống, sẽ được nhắc lên”.","end":"Ðó là lời Chúa"}}
+    }
+});
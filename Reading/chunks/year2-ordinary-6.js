@@ -0,0 +1,29 @@
+// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc
+registerLectionaryChunk("year2-ordinary-6", {
+    "ORDINARY_Y2": {
+        "5311": {"firstReading":{"excerpt":"(Năm II) Pl 2, 1-4","info":"“Anh em hãy làm cho tôi được trọn niềm hân hoan, để anh em hưởng cùng một niềm vui”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, nếu có sự an ủi nào trong Ðức Kitô, nếu có sự khích lệ nào trong đức mến, nếu có sự hiệp nhất nào trong Thánh Thần, nếu có lòng thương xót nào, thì anh em hãy làm cho tôi được trọn niềm hân hoan, để anh em hưởng cùng một niềm vui, được cùng chung một lòng mến, được đồng tâm nhất trí với nhau; chớ làm điều gì bởi ý cạnh tranh, hay bởi tìm hư danh, nhưng hãy lấy lòng khiêm nhường mà coi kẻ khác vượt trổi hơn mình; mỗi người đừng chỉ nghĩ đến những sự thuộc về mình, nhưng hãy nghĩ đến những sự thuộc về kẻ khác.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 130, 1. 2. 3","response":"Ðáp: Lạy Chúa, xin giữ linh hồn con trong bình an của Chúa.","verses":["Xướng: Lạy Chúa, lòng con không tự đắc, và mắt con chẳng liếc nhìn cao, con cũng không lo nghĩ những việc lớn lao hay là những điều quá tầm trí mọn.","Xướng: Nhưng con lo giữ linh hồn cho thinh lặng và thanh thản. Như trẻ thơ sống trong lòng thân mẫu, linh hồn con cũng như thế ở trong con.","Xướng: Israel hãy cậy trông vào Chúa, tự bây giờ và cho tới muôn đời."]},"alleluia":{"verse":"Mt 11, 29ab","content":"alleluia! – Các ngươi hãy mang lấy ách của Ta và hãy học cùng Ta, vì Ta hiền lành và khiêm nhượng trong lòng. – Alleluia."},"gospel":{"excerpt":"Lc 14, 12-14","info":"“Ông chớ mời các bạn hữu, nhưng hãy mời những người nghèo khó và tàn tật”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu nói với thủ lãnh các người biệt phái đã mời Người rằng: “Khi ông dọn tiệc trưa hay tiệc tối, ông chớ mời các bạn hữu, anh em, bà con và những người láng giềng giàu có, kẻo chính họ sẽ mời lại ông mà trả ơn cho ông. Nhưng khi ông dọn tiệc, ông hãy mời những người nghèo khó, tàn tật, què quặt và đui mù, thì ông sẽ được phúc, bởi họ không có gì đền ơn cho ông: vì chưng, khi những người công chính sống lại, ông sẽ được đền ơn”.","end":"Ðó là lời Chúa"}},
+        "5312": {"firstReading":{"excerpt":"(Năm II) Pl 2, 5-11","info":"“Người đã tự hạ mình, vì thế Thiên Chúa đã tôn vinh Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, anh em hãy cảm nghĩ trong anh em điều đã có trong Ðức Giêsu Kitô: Người tuy là thân phận Thiên Chúa, đã không nghĩ phải giành cho được ngang hàng với Thiên Chúa; trái lại, Người huỷ bỏ chính mình mà nhận lấy thân phận tôi đòi, đã trở nên giống như loài người với cách thức bề ngoài như một người phàm.\rNgười đã tự hạ mình mà vâng lời cho đến chết, và chết trên thập giá. Vì thế, Thiên Chúa đã tôn vinh Người, và ban cho Người một danh hiệu vượt trên mọi danh hiệu, để khi nghe tên Giêsu, mọi loài trên trời dưới đất và trong địa ngục phải quỳ gối xuống, và mọi miệng lưỡi phải tuyên xưng Ðức Giêsu Kitô là Chúa để Thiên Chúa Cha được vinh quang.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 21, 26b-27. 28-30a. 31-32","response":"Ðáp: Lạy Chúa, bởi Chúa mà lời con ca ngợi vang lên trong Ðại hội (c. 26a).","verses":["Xướng: Bởi Chúa mà lời con ca ngợi vang lên trong Ðại hội. Con sẽ làm trọn những lời khấn hứa của con, trước mặt những người tôn sợ Chúa. Bạn cơ bần sẽ ăn và được no nê, những kẻ tìm kiếm Chúa sẽ ca khen Chúa: “Tâm hồn các bạn hãy vui sống tới muôn đời”.","Xướng: Thiên hạ sẽ ghi lòng và trở về với Chúa, khắp cùng bờ cõi địa cầu; và toàn thể bá tánh chư dân sẽ phủ phục trước thiên nhan Chúa. Bao người ngủ trong lòng đất sẽ tôn thờ duy một Chúa.","Xướng: Miêu duệ con sẽ phục vụ Ngài, sẽ tường thuật về Chúa cho thế hệ tương lai, và chúng kể cho dân hậu sinh biết đức công minh Chúa, rằng: “Ðiều đó Chúa đã làm”."]},"alleluia":{"verse":"Tv 147, 12a và 15a","content":"alleluia! – Giêrusalem, hãy ngợi khen Chúa, Ðấng đã sai lời Người xuống cõi trần ai. – Alleluia."},"gospel":{"excerpt":"Lc 14, 15-24","info":"“Anh hãy ra ngoài đường ngoài ngõ, và cố ép người ta vào cho đầy nhà tôi”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, một người đồng bàn thưa cùng Chúa Giêsu rằng: “Phúc cho kẻ sẽ được ăn tiệc trong nước Thiên Chúa”. Người phán cùng kẻ ấy rằng: “Có một người kia dọn tiệc linh đình, và đã mời nhiều thực khách. Tới giờ dự tiệc, ông sai đầy tớ đi báo cho những kẻ được mời để họ đến, vì mọi sự đã dọn sẵn sàng rồi. Nhưng mọi người đồng thanh xin kiếu. Người thứ nhất nói với ông rằng: “Tôi mới tậu một thửa ruộng, tôi cần phải đi xem đất, nên xin ông cho tôi kiếu”. Người thứ hai nói: “Tôi mới mua năm đôi bò, và tôi phải đi thử chúng, nên xin ông cho tôi kiếu”. Người khác lại rằng: “Tôi mới cưới vợ, bởi đó tôi không thể đến được”.\r“Người đầy tớ trở về thuật lại những điều đó cho chủ mình. Bấy giờ chủ nhà liền nổi giận, bảo người đầy tớ rằng: “Anh hãy cấp tốc đi ra các công trường và các ngõ hẻm thành phố mà dẫn về đây những người hành khất, tàn tật, đui mù và què quặt”. Người đầy tớ trở về trình rằng: “Thưa ông, lệnh ông ban đã được thi hành, thế mà hãy còn dư chỗ”. Ông chủ lại bảo người đầy tớ rằng: “Anh hãy ra ngoài đường ngoài ngõ và cố ép người ta vào cho đầy nhà tôi. Vì tôi bảo cho các người biết: không một ai trong những kẻ đã được mời, sẽ được nếm bữa tiệc của tôi”.","end":"Ðó là lời Chúa"}},
+        "5313": {"firstReading":{"excerpt":"(Năm II) Pl 2, 12-18","info":"“Anh em hãy lo cho mình được ơn cứu độ; Thiên Chúa tạo nên trong anh em cả ý muốn lẫn việc làm”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, như anh em vẫn luôn luôn vâng lời, không phải trong lúc tôi có mặt mà thôi, nhưng hơn nữa, cả lúc này là lúc tôi vắng mặt, anh em cũng phải kinh hãi run sợ mà lo cho mình được ơn cứu độ. Vì chưng, Thiên Chúa là Ðấng tạo nên trong anh em cả ý muốn lẫn việc làm theo sở định của Người.\rAnh em hãy thi hành mọi việc, đừng kêu ca và nghi ngại, để anh em biến thành những người không có gì đáng chê trách, và trở nên những người con vẹn toàn không ai bắt lỗi được của Thiên Chúa ở giữa một thế hệ hư hốt và gian tà. Giữa những kẻ ấy, anh em hãy chiếu sáng ra như những vì sao trong vũ trụ, hãy tích trữ lời hằng sống, để làm sáng danh tôi trong ngày của Ðức Kitô, vì tôi đã không bôn tẩu cách hư luống và đã không uổng công lao nhọc.\rVà nếu tôi phải đổ máu làm lễ vật tiến dâng vì đức tin anh em, tôi sẽ vui mừng và hân hoan với tất cả anh em. Và cả anh em nữa, anh em cũng sẽ được vui mừng và hân hoan với tôi.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 26, 1. 4. 13-14","response":"Ðáp: Chúa là sự sáng và là Ðấng cứu độ tôi (c. 1a).","verses":["Xướng: Chúa là sự sáng, là Ðấng cứu độ, tôi sợ chi ai? Chúa là Ðấng phù trợ đời tôi, tôi sợ gì ai?","Xướng: Có một điều tôi xin Chúa, một điều tôi kiếm tìm, đó là tôi được cư ngụ trong nhà Chúa suốt đời tôi, hầu vui hưởng sự êm đềm của Chúa, và chiêm ngưỡng thánh điện của Ngài.","Xướng: Tôi tin rằng tôi sẽ được nhìn xem những ơn lành của Chúa trong cõi nhân sinh. Hãy chờ đợi Chúa, hãy sống can trường, hãy phấn khởi tâm hồn và chờ đợi Chúa!"]},"alleluia":{"verse":"Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 14, 25-33","info":"“Ai không từ bỏ tất cả của cải mình có, thì không thể làm môn đệ Ta”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, có nhiều đám đông cùng đi với Chúa Giêsu, Người ngoảnh lại bảo họ rằng: “Nếu ai đến với Ta mà không bỏ cha mẹ, vợ con, anh chị em và cả mạng sống mình, thì không thể làm môn đệ Ta. Còn ai không vác thập giá mình mà theo Ta, thì không thể làm môn đệ Ta. Và có ai trong các ngươi muốn xây tháp mà trước tiên không ngồi tính toán phí tổn cần thiết, xem có đủ để hoàn tất không, kẻo đặt móng rồi mà không thể hoàn tất, thì mọi người xem thấy sẽ chế diễu người đó rằng: “Tên này khởi sự xây cất mà không hoàn thành nổi”.\r“Hoặc có vua nào sắp đi giao chiến với một vua khác, mà trước tiên không ngồi suy nghĩ xem mình có thể đem mười ngàn quân ra đương đầu với đối phương dẫn hai mươi ngàn quân tiến đánh mình chăng? Bằng chẳng nổi, thì khi đối phương còn ở xa, vua ấy sai một phái đoàn đến cầu hoà. Cũng thế, bất kỳ ai trong các ngươi không từ bỏ tất cả của cải mình có, thì không thể làm môn đệ Ta”.","end":"Ðó là lời Chúa"}},
+        "5314": {"firstReading":{"excerpt":"(Năm II) Pl 3, 3-8","info":"“Những điều xưa kia được kể là lợi ích cho tôi, thì nay tôi coi là bất lợi vì Ðức Kitô”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, chính chúng ta là những người chịu cắt bì, chúng ta phụng thờ Thiên Chúa theo thần trí, và khoe mình trong Ðức Giêsu Kitô, chứ không tin tưởng vào xác thịt, mặc dầu chính tôi cũng có thể ỷ lại vào xác thịt. Nếu có ai khác nghĩ mình có lý để ỷ lại vào xác thịt, thì tôi còn có lý hơn: tôi đã chịu cắt bì từ ngày thứ tám, là người chủng tộc Israel, thuộc chi họ Bengiamin, là người Do-thái sinh bởi người Do-thái, là người biệt phái chiếu theo lề luật. Bởi lòng đạo đức nhiệt thành, tôi đã bách hại Hội Thánh Thiên Chúa, chiếu theo đức công chính do lề luật công bố, tôi được coi là người không có gì đáng trách.\rNhưng những điều xưa kia được kể là ích lợi cho tôi, thì nay vì Ðức Kitô tôi coi là bất lợi. Vả lại tôi coi tất cả mọi sự như thua thiệt trước cái lợi tuyệt vời là được biết Ðức Giêsu Kitô, Chúa tôi. Vì Ngài, tôi đành thua lỗ mọi sự, và coi là phân bón cả, để lợi được Ðức Kitô.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 104, 2-3. 4-5. 6-7","response":"Ðáp: Tâm hồn những ai tìm Chúa, hãy mừng vui (c. 3b).","verses":["Xướng: Hãy ca tụng Chúa, hãy hoan hô danh Người, hãy kể ra sự nghiệp Chúa ở giữa chư dân. Hãy xướng ca, đàn hát mừng Người, hãy tường thuật mọi điều kỳ diệu của Chúa.","Xướng: Hãy coi trọng Chúa và quyền năng của Chúa, hãy tìm kiếm thiên nhan Chúa luôn luôn. Hãy nhớ lại những điều kỳ diệu Chúa đã làm, những phép lạ và những điều Ngài phán quyết.","Xướng: Hỡi miêu duệ Abraham là tôi tớ của Người, hỡi con cháu Giacóp, những kẻ được Người kén chọn, chính Chúa là Thiên Chúa chúng ta, quyền cai trị của Người bao trùm khắp cả địa cầu. ."]},"alleluia":{"verse":"2 Cr 5, 19","content":"alleluia! – Thiên Chúa ở trong Ðức Kitô đã giải hoà thế gian, để chúng ta nghe lời của Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 15, 1-10","info":"“Trên trời sẽ vui mừng vì một người tội lỗi hối cải”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người thâu thuế và những người tội lỗi đến gần Chúa Giêsu để nghe Người giảng. Thấy vậy, những người Biệt phái và Luật sĩ lẩm bẩm rằng: “Ông này đón tiếp những kẻ tội lỗi, cùng ngồi ăn uống với chúng”. Bấy giờ Người phán bảo họ dụ ngôn này: “Ai trong các ông có một trăm con chiên, và nếu mất một con, lại không để chín mươi chín con khác trong hoang địa mà đi tìm con chiên lạc, cho đến khi tìm được sao? Và khi đã tìm thấy, người đó vui mừng vác chiên trên vai, trở về nhà, kêu bạn hữu và những người lân cận mà nói rằng: “Anh em hãy chia vui với tôi, vì tôi đã tìm thấy con chiên lạc!” Cũng vậy tôi bảo các ông: Trên trời sẽ vui mừng vì một người tội lỗi hối cải hơn là vì chín mươi chín người công chính không cần hối cải.\r“Hay là người đàn bà nào có mười đồng bạc, nếu mất một đồng, mà lại không đốt đèn, quét nhà và tìm kỹ lưỡng cho đến khi tìm thấy sao? Và khi đã tìm thấy, bà mời các chị em bạn và những người láng giềng đến mà rằng: “Chị em hãy vui mừng với tôi, vì tôi đã tìm được đồng bạc tôi đã mất”. Cũng vậy, tôi bảo các ông: Các thiên thần của Thiên Chúa sẽ vui mừng vì một người tội lỗi hối cải”.","end":"Ðó là lời Chúa"}},
+        "5315": {"firstReading":{"excerpt":"(Năm II) Pl 3, 17 – 4, 1","info":"“Chúng ta mong đợi Ðấng Cứu Chuộc là Ðức Giêsu Kitô, Chúa chúng ta. Người sẽ biến đổi thân xác hèn hạ của chúng ta nên giống như thân xác hiển vinh của Người”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philípphê.","content":"Anh em thân mến, anh em hãy bắt chước tôi, và hãy để mắt nhìn coi những người ăn ở theo như mẫu mực anh em thấy nơi chúng tôi. Bởi chưng như tôi đã thường nói với anh em, và bây giờ đây tôi đau lòng ứa lệ mà nói lại, có nhiều người sống thù nghịch với thập giá Ðức Kitô. Chung cuộc đời họ là hư vong, chúa tể của họ là cái bụng, và họ đặt vinh danh của họ trong những điều ô nhục; họ chỉ ưa chuộng những cái trên cõi đời này. Phần chúng ta, quê hương chúng ta ở trên trời, nơi đó chúng ta mong đợi Ðấng Cứu Chuộc là Ðức Giêsu Kitô, Chúa chúng ta, Người sẽ biến đổi thân xác hèn hạ của chúng ta nên giống như thân xác hiển vinh của Người, nhờ quyền lực mà Người vẫn có, để bắt muôn vật suy phục Người.\rBởi thế, anh em thân mến và quý yêu, anh em là niềm hoan lạc và triều thiên của tôi. Anh em thân mến, hãy vững vàng trong Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 121, 1-2. 3-4a. 4b-5","response":"Ðáp: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”(c. 1).","verses":["Xướng: Tôi vui mừng khi người ta nói với tôi: “Chúng ta sẽ tiến vào nhà Chúa”. Hỡi Giêrusalem, chân chúng tôi đang đứng nơi cửa thành rồi.","Xướng: Giêrusalem được kiến thiết như thành trì, được cấu tạo kiên cố trong toàn thể. Nơi đây các bộ lạc, các bộ lạc của Chúa tiến lên.","Xướng: Theo luật pháp của Israel, để ngợi khen danh Chúa. Tại đây đã đặt ngai toà thẩm phán, ngai toà của nhà Ðavit."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia."},"gospel":{"excerpt":"Lc 16, 1-8","info":"“Con cái đời này khi đối xử với đồng loại thì khôn khéo hơn con cái sự sáng”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Một người phú hộ kia có một người quản lý; và người này bị tố cáo đã phung phí của chủ. Ông chủ gọi người quản lý đến và bảo rằng: “Tôi nghe nói anh sao đó. Anh hãy tính sổ công việc quản lý của anh, vì từ nay anh không thể làm quản lý nữa”. Người quản lý thầm nghĩ rằng: “Tôi phải làm thế nào, vì chủ tôi cất chức quản lý của tôi? Cuốc đất thì không nổi, ăn mày thì hổ ngươi. Tôi biết phải liệu thế nào để khi mất chức quản lý thì sẽ có người đón tiếp tôi về nhà họ”.\r“Vậy anh gọi từng con nợ của chủ đến và hỏi người thứ nhất rằng: “Anh mắc nợ chủ tôi bao nhiêu?” Người ấy đáp: “Một trăm thùng dầu”. Anh bảo người ấy rằng: “Anh hãy lấy văn tự, ngồi xuống mau mà viết lại năm mươi”. Rồi anh hỏi người khác rằng: “Còn anh, anh mắc nợ bao nhiêu?” Người ấy đáp: “Một trăm giạ lúa miến”. Anh bảo người ấy rằng: “Anh hãy lấy văn tự mà viết lại: tám mươi”.\r“Và chủ khen người quản lý bất lương đó đã hành động cách khôn khéo: vì con cái đời này, khi đối xử với đồng loại, thì khôn khéo hơn con cái sự sáng”.","end":"Ðó là lời Chúa"}},
+        "5316": {"firstReading":{"excerpt":"(Năm II) Pl 4, 10-19","info":"“Tôi có thể làm được mọi sự trong Ðấng ban sức mạnh cho tôi”.","title":"Trích thư Thánh Phaolô Tông đồ gửi tín hữu Philipphê.","content":"Anh em thân mến, tôi rất vui mừng trong Chúa vì sự săn sóc của anh em đối với tôi đã sinh hoa kết quả: anh em đã nghĩ tới vấn đề đó từ lâu rồi nhưng anh em không có dịp tỏ bày ra. Tôi nói thế không phải vì sự túng thiếu của tôi, vì chưng tôi đã học tập để tự túc trong mọi hoàn cảnh. Tôi biết chịu thiếu thốn và biết hưởng sung túc. Trong mọi trường hợp và hết mọi cách, tôi đã học cho biết no, biết đói, biết dư dật và thiếu thốn. Tôi có thể làm được mọi sự trong Ðấng ban sức mạnh cho tôi.\rNhưng anh em đã hành động chí lý khi san sẻ mọi quẫn bách của tôi. Này anh em, người thành Philipphê, anh em cũng đã thừa biết là ngay lúc bắt đầu rao giảng Tin Mừng, khi tôi rời bỏ Macêđônia, không một giáo đoàn nào đã đóng góp vào sổ chi tiêu của tôi, trừ một mình anh em mà thôi: vì một đôi lần, anh em đã gửi đồ về thành Thêxalônica cho tôi dùng. Không phải tôi cầu ơn cầu nghĩa gì, nhưng tôi cầu cho vốn liếng anh em được sinh hoa kết quả dồi dào. Hiện tôi có đủ mọi sự và có dư thừa: tôi đã được đầy đủ sau khi nhận lãnh những tặng vật anh em nhờ Êpaphrôđitô gửi đến, là hương thơm ngạt ngào, là lễ vật được Thiên Chúa vui lòng chấp nhận.\rXin Thiên Chúa cung cấp dư dật những nhu cầu của anh em, theo sự phú túc vinh quang của Người, trong Ðức Giêsu Kitô. Vinh danh Thiên Chúa là Cha chúng ta muôn đời. Amen.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 5-6. 8a và 9","response":"Ðáp: Phúc đức thay người tôn sợ Chúa (c. 1a).","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng ham mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong Ðất Nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Phúc đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình. Cho tới đời đời người sẽ không nao núng: người hiền đức sẽ được ghi nhớ muôn đời.","Xướng: Lòng người kiên nghị, người không kinh hãi. Người ban phát và bố thí cho những kẻ nghèo, lòng quảng đại của người muôn đời còn mãi, sừng người được ngẩng lên trong vinh quang."]},"alleluia":{"verse":"Ep 1, 17-18","content":"alleluia! – Xin Chúa Cha của Ðức Giêsu Kitô, Chúa chúng ta, cho mắt tâm hồn chúng ta được sáng suốt, để chúng ta biết thế nào là trông cậy vào ơn Người kêu gọi chúng ta. – Alleluia."},"gospel":{"excerpt":"Lc 16, 9-15","info":"“Nếu các con không trung thành trong việc tiền của gian dối, thì ai sẽ giao của chân thật cho các con”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Hãy dùng tiền của gian dối mà mua lấy bạn hữu, để khi mất hết tiền bạc, thì họ sẽ đón tiếp các con vào chốn an nghỉ đời đời. Ai trung tín trong việc nhỏ, thì cũng trung tín trong việc lớn; ai gian dối trong việc nhỏ, thì cũng gian dối trong việc lớn. Vậy nếu các con không trung thành trong việc tiền của gian dối, thì ai sẽ giao phó của chân thật cho các con.\r“Không đầy tớ nào có thể làm tôi hai chủ: vì hoặc nó ghét chủ này và mến chủ kia; hoặc phục chủ này và khinh chủ nọ. Các con không thể làm tôi Thiên Chúa mà lại làm tôi tiền của được”. Những người biệt phái là những kẻ tham lam, nghe nói tất cả những điều đó, thì nhạo cười Người. Vậy Người bảo các ông rằng: “Chính các ông là những kẻ phô trương mình là công chính trước mặt người ta, nhưng Thiên Chúa biết lòng các ông; bởi chưng điều gì cao sang đối với người ta, thì lại là ghê tởm trước mặt Thiên Chúa”.","end":"Ðó là lời Chúa"}},
+        "5321": {"firstReading":{"excerpt":"(Năm II) Tt 1, 1-9","info":"“Thiết lập các Trưởng lão trong mỗi thành như cha đã căn dặn con”.","title":"Khởi đầu bức thư của Thánh Phaolô Tông đồ gửi cho Titô.","content":"Phaolô, tôi tớ Thiên Chúa, cùng là Tông đồ của Ðức Giêsu Kitô, để rao giảng đức tin cho những kẻ được Thiên Chúa kén chọn và làm cho họ nhận biết chân lý; chân lý đó giúp họ ăn ở đức hạnh và ban cho họ niềm hy vọng sống đời đời mà Chúa, Ðấng chẳng hề nói dối, đã hứa từ thuở đời đời. Khi đã đến thời, Người đã tỏ lời Người ra bằng việc rao giảng mà Người đã uỷ thác cho cha theo lệnh của Thiên Chúa là Ðấng cứu chuộc chúng ta. Gửi cho Titô, con yêu dấu thuộc cùng một đức tin. Nguyện ân sủng và bình an của Thiên Chúa Cha và của Chúa Giêsu, Ðấng Cứu chuộc chúng ta, ở cùng con.\rLý do Cha để con ở lại đảo Crêta là để con chỉnh đốn những gì còn thiếu sót, và thiết lập các Trưởng lão trong mỗi thành như cha đã căn dặn. Con người được chọn phải là người không có gì đáng trách, chỉ kết hôn một lần; có con cái ngoan đạo, không mang tiếng buông tuồng hoặc ngỗ nghịch. Vì chưng, chủ tịch cộng đoàn, theo tư cách là người quản lý của Chúa, phải là người không có gì đáng trách, không kiêu căng, không nóng nảy, không mê rượu, không gây gỗ, không trục lợi đê hèn, nhưng hiếu khách, hiền lành, tiết độ, công minh, thánh thiện, tiết hạnh, nắm giữ lời chân thật hợp với đạo lý, để có thể dùng đạo lý lành mạnh mà khuyên dụ và phi bác những kẻ chống đối.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6a","response":"Ðáp: Lạy Chúa, đó là dòng dõi tìm kiếm long nhan Chúa (x. c. 6).","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Ngài xây dựng nó trên biển cả, và Ngài giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Ngài? Người tay vô tội và lòng thanh khiết, người không để lòng xu hưởng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Giacóp."]},"alleluia":{"verse":"Mt 11, 25","content":"alleluia! – Lạy Cha là Chúa trời đất, Con xưng tụng Cha, vì Cha đã mạc khải những mầu nhiệm nước trời cho những kẻ bé mọn. – Alleluia."},"gospel":{"excerpt":"Lc 17, 1-6","info":"“Dù một ngày bảy lần nó trở lại nói cùng con rằng: Tôi hối hận, thì con hãy tha cho nó”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Không thể nào mà không xảy ra gương xấu, nhưng vô phúc cho kẻ nào gây ra gương xấu. Thà nó bị cột cối đá vào cổ mà ném xuống biển còn hơn là làm gương xấu cho một trong những trẻ nhỏ này.\r“Các con hãy cẩn thận: nếu có anh em con lỗi phạm, con hãy răn bảo nó, và nếu nó hối cải, thì hãy tha thứ cho nó; cho dù một ngày nó phạm đến con bảy lần, và bảy lần nó trở lại nói cùng con rằng: “Tôi hối hận”, thì con hãy tha thứ cho nó”.\rCác Tông đồ thưa với Chúa rằng: “Xin Thầy ban thêm lòng tin cho chúng con”. Chúa liền phán rằng: “Nếu các con có lòng tin bằng hạt cải, thì dẫu các con khiến cây dâu này rằng: “Hãy tróc rễ lên và xuống mọc dưới biển”, nó liền vâng lời các con”.","end":"Ðó là lời Chúa"}},
+        "5322": {"firstReading":{"excerpt":"(Năm II) Tt 2, 1-8. 11-14","info":"“Chúng ta hãy sống đạo đức, khi trông đợi niềm hy vọng hạnh phúc và cuộc xuất hiện của Ðức Giêsu Kitô là Thiên Chúa và là Ðấng cứu độ chúng ta”.","title":"Trích thư Thánh Phaolô Tông đồ gửi cho Titô.","content":"Con thân mến, con hãy giảng dạy những gì hợp với đạo lý lành mạnh. Những ông cao niên hãy sống tiết độ, đoan trang, khôn ngoan, lành mạnh trong đức tin, đức mến, đức kiên nhẫn. Các bà cao niên cũng thế, phải ăn ở thánh thiện, chớ nói hành nói xấu, chớ mê say rượu chè, nhưng biết dạy đường lành, để dạy cho các thiếu phụ biết mến chồng thương con, khôn ngoan, thanh khiết, tiết độ, chăm lo việc nhà, hiền hậu, tùng phục chồng, để lời Thiên Chúa khỏi bị xúc phạm.\rCác thanh niên cũng thế, con hãy khuyên dạy cho chúng biết tiết độ. Trong mọi sự, con hãy nên gương mẫu về các việc lành, tinh tuyền trong giáo huấn, trang nghiêm, lời lẽ lành mạnh không ai bắt bẻ được, để đối phương phải xấu hổ, vì không thể nói xấu chúng ta điều gì.\rVì chưng, ân sủng của Thiên Chúa, Ðấng Cứu Ðộ chúng ta, đã xuất hiện cho mọi người, dạy chúng ta từ bỏ gian tà và những dục vọng trần tục, để sống tiết độ, công minh và đạo đức ở đời này, khi trông đợi niềm hy vọng hạnh phúc và cuộc xuất hiện sự vinh quang của Ðức Giêsu Kitô là Thiên Chúa cao cả và là Ðấng Cứu Ðộ chúng ta. Người đã hiến thân cho chúng ta để cứu chuộc chúng ta khỏi mọi điều gian ác, luyện sạch chúng ta thành một dân tộc xứng đáng của Người, một dân tộc nhiệt tâm làm việc thiện.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 36, 3-4. 18 và 23. 27 và 29","response":"Ðáp: Người hiền được Chúa ban ơn cứu độ (c. 39a).","verses":["Xướng: Hãy trông cậy Chúa và hãy làm lành, để được cư ngụ trong đất nước, thọ hưởng an ninh. Hãy hân hoan tin tưởng vào Chúa, Người sẽ ban cho sự lòng bạn thỉnh cầu.","Xướng: Chúa chăm lo cho mạng sống người nhân đức, và phần gia nghiệp họ còn mãi muôn đời. Nhờ ơn Chúa mà hiền nhân vững bước, và Người yểm hộ đường lối người đi.","Xướng: Hãy tránh ác và hãy làm lành, hầu được an cư tới ngàn thu. Những người hiền sẽ được đất nước, và cư ngụ ở đó tới ngàn thu. – Ðáp."]},"alleluia":{"verse":"Cl 3, 16a và 17c","content":"alleluia! – Nguyện cho lời Chúa Kitô cư ngụ dồi dào trong anh em; anh em hãy nhờ Ðức Kitô mà tạ ơn Chúa Cha. – Alleluia."},"gospel":{"excerpt":"Lc 17, 7-10","info":"“Chúng tôi là đầy tớ vô dụng: vì chúng tôi đã làm điều chúng tôi phải làm”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán: “Ai trong các con có người đầy tớ cày bừa hay chăn súc vật ngoài đồng trở về liền bảo nó rằng: “Mau lên, hãy vào bàn dùng bữa”, mà trái lại không bảo nó rằng: “Hãy lo dọn bữa tối cho ta, hãy thắt lưng và hầu hạ ta cho đến khi ta ăn uống đã, sau đó ngươi mới ăn uống”? Chớ thì chủ nhà có phải mang ơn người đầy tớ, vì nó đã làm theo lệnh ông dạy không? Thầy nghĩ rằng không.\r“Phần các con cũng vậy, khi các con làm xong mọi điều đã truyền dạy các con, thì các con hãy nói rằng: “Chúng tôi là đầy tớ vô dụng, vì chúng tôi đã làm điều chúng tôi phải làm”.","end":"Ðó là lời Chúa"}},
+        "5323": {"firstReading":{"excerpt":"(Năm II) Tt 3, 1-7","info":"“Xưa chúng ta cũng lầm lạc, nhưng chiếu theo lòng từ bi Chúa, chúng ta đã được cứu thoát”.","title":"Trích thư Thánh Phaolô Tông đồ gửi cho Titô.","content":"Con thân mến, con hãy nhắc bảo mọi người phải tùng phục thủ lãnh và những người quyền chức, biết vâng lời, sẵn sàng làm mọi việc thiện, đừng thoá mạ ai, và đừng gây gỗ, nhưng ở khoan dung, tỏ lòng rất mực hiền từ với mọi người. Vì chưng, xưa kia chúng ta cũng ngu muội, bất phục, lầm lạc, nô lệ cho tham vọng và nhiều khoái lạc khác, sống trong gian ác và ghen tương, khả ố và đố kỵ lẫn nhau. Nhưng khi Ðấng Cứu Thế, Chúa chúng ta, đã tỏ lòng từ tâm và nhân ái của Người, thì không phải do những việc công chính chúng ta thực hiện, nhưng do lòng từ bi của Người, mà Người đã cứu độ chúng ta bằng phép rửa tái sinh và sự canh tân của Thánh Thần, Ðấng mà Người đã đổ xuống tràn đầy trên chúng ta, qua Ðức Giêsu Kitô, Ðấng Cứu Ðộ chúng ta, để một khi được công chính hoá bởi ân sủng của Ngài, trong hy vọng, chúng ta được thừa kế sự sống đời đời, trong Ðức Giêsu Kitô, Chúa chúng ta.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 22, 1-3a. 3b-4. 5. 6","response":"Ðáp: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi (c. 1).","verses":["Xướng: Chúa chăn nuôi tôi, tôi chẳng thiếu thốn chi; trên đồng cỏ xanh rì, Người thả tôi nằm nghỉ. Tới nguồn nước, chỗ nghỉ ngơi, Người hướng dẫn tôi; tâm hồn tôi, Người lo bồi dưỡng.","Xướng: Người dẫn tôi qua con đường đoan chính, sở dĩ vì uy danh Người. (Lạy Chúa,) dù bước đi trong thung lũng tối, con không lo mắc nạn, vì Chúa ở cùng con. Cây roi và cái gậy của Ngài, đó là điều an ủi lòng con.","Xướng: Chúa dọn ra cho con mâm cỗ ngay trước mặt những kẻ đối phương: đầu con thì Chúa xức dầu thơm, chén rượu con đầy tràn chan chứa.","Xướng: Lòng nhân từ và ân sủng Chúa theo tôi, hết mọi ngày trong đời sống; và trong nhà Chúa, tôi sẽ định cư cho tới thời gian rất ư lâu dài."]},"alleluia":{"verse":"1 Tx 2, 13","content":"alleluia! – Anh em hãy đón nhận lời Chúa, không phải như lời của loài người, mà là như lời của Thiên Chúa và đích thực là thế. – Alleluia. (Hoặc đọc: ) Alleluia, aleluia! – Anh em hãy tạ ơn trong mọi hoàn cảnh, đó chính là điều Thiên Chúa muốn trong Đức Ki-tô Giê-su"},"gospel":{"excerpt":"Lc 17, 11-19","info":"“Không thấy ai trở lại tôn vinh Thiên Chúa, mà chỉ có người ngoại bang này”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi Chúa Giêsu đi lên Giêrusalem, Người đi qua biên giới Samaria và Galilêa. Khi Người vào một làng kia thì gặp mười người phong cùi đang đứng ở đàng xa, họ cất tiếng thưa rằng: “Lạy Thầy Giêsu, xin thương xót chúng tôi”. Thấy họ, Người bảo họ rằng: “Các ngươi hãy đi trình diện với các tư tế”. Trong lúc họ đi đường, họ được lành sạch. Một người trong bọn họ thấy mình được lành sạch, liền quay trở lại, lớn tiếng ngợi khen Thiên Chúa, rồi đến sấp mình dưới chân Chúa Giêsu và tạ ơn Người: Mà người ấy lại là người xứ Samaria. Nhưng Chúa Giêsu phán rằng: “Chớ thì không phải cả mười người được lành sạch sao? Còn chín người kia đâu? Không thấy ai trở lại tôn vinh Thiên Chúa, mà chỉ có người ngoại này”. Rồi Người bảo kẻ ấy rằng: “Ngươi hãy đứng dậy mà về: vì lòng tin của ngươi đã cứu chữa ngươi”.","end":"Ðó là lời Chúa"}},
+        "5324": {"firstReading":{"excerpt":"(Năm II) Plm 7-20","info":"“Xin anh tiếp nhận nó không phải như một người nô lệ, nhưng như một người anh em rất thân mến”.","title":"Trích thư Thánh Phaolô Tông đồ gửi cho Philêmon.","content":"Anh thân mến, tôi rất đỗi vui mừng và an ủi, vì lòng bác ái của anh, vì hỡi anh, nhờ anh mà tâm hồn các thánh được hài lòng.\rBởi đó, dầu trong Ðức Giêsu Kitô, tôi có đủ quyền để truyền cho anh điều phải lẽ, nhưng tôi thà nại vào đức bác ái mà nài xin anh thì hơn, vì anh cũng như tôi. Phaolô già nua, và hiện đang bị cầm tù vì Ðức Giêsu Kitô, tôi nài xin anh cho Ônêsimô, đứa con tôi đã sinh ra trong xiềng xích. Xưa kia nó là người vô ích cho anh, nhưng hiện nay, nó lại hữu ích cho cả anh và tôi nữa, tôi trao lại cho anh. Phần anh, anh hãy đón nhận nó như ruột thịt của tôi.\rTôi cũng muốn giữ nó lại để thay anh mà giúp đỡ tôi trong lúc tôi bị xiềng xích vì Tin Mừng. Nhưng vì chưa biết ý anh, nên tôi không muốn làm gì, để việc nghĩa anh làm là một việc tự ý, chứ không vì ép buộc. Vì biết đâu nó xa anh một thời gian để rồi anh sẽ tiếp nhận nó muôn đời, không phải như một người nô lệ, nhưng thay vì nô lệ, thì như một người anh em rất thân mến, đặc biệt đối với tôi, huống chi là đối với anh, về phần xác cũng như trong Chúa.\rVậy nếu anh nhận tôi là bạn hữu, thì xin anh hãy đón nhận nó như chính mình tôi vậy. Nếu nó đã làm thiệt hại cho anh điều gì, hay mắc nợ anh, xin anh hãy tính vào sổ của tôi. Chính tôi là Phaolô đây, tôi tự tay viết là tôi sẽ thanh toán, trừ phi tôi kể ra cho anh hay rằng chính anh mắc món nợ với tôi. Hỡi anh, thật thế. Nhờ anh tôi sẽ được hân hoan trong Chúa: anh hãy làm cho tôi được thoả lòng trong Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 145, 7. 8-9a. 9bc-10","response":"Ðáp: Phúc thay con người được Thiên Chúa nhà Giacóp phù trợ (c. 5a).","verses":["Xướng: Thiên Chúa trả lại quyền lợi cho người bị áp bức, và ban cho những kẻ đói được cơm ăn. Thiên Chúa cứu gỡ những người tù tội.","Xướng: Thiên Chúa mở mắt những kẻ đui mù, Thiên Chúa giải thoát những kẻ bị khòm lưng khuất phục, Thiên Chúa yêu quý các bậc hiền nhân, Thiên Chúa che chở những khách kiều cư.","Xướng: Thiên Chúa nâng đỡ những người mồ côi quả phụ, và làm rối loạn đường nẻo đứa ác nhân. Thiên Chúa sẽ làm vua tới muôn đời. Sion hỡi, Ðức Thiên Chúa của người sẽ làm vua tự đời này sang đời khác."]},"alleluia":{"verse":"2 Tx 2, 14","content":"alleluia! – Thiên Chúa đã dùng Tin Mừng mà kêu gọi chúng ta, để chúng ta được chiếm lấy vinh quang của Ðức Giêsu Kitô, Chúa chúng ta. – Alleluia."},"gospel":{"excerpt":"Lc 17, 20-25","info":"“Nước Thiên Chúa ở giữa các ông”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, những người biệt phái hỏi Chúa Giêsu “Khi nào nước Thiên Chúa đến”, thì Người đáp lại rằng: “Nước Thiên Chúa không đến để cho người ta quan sát, và người ta sẽ không nói được: “Này nước trời ở đây hay ở kia”. Vì nước Thiên Chúa ở giữa các ông”. Chúa lại phán cùng các môn đệ rằng: “Sẽ có ngày các con ước ao thấy được một ngày của Con Người mà không được thấy. Người ta sẽ bảo các con: “Này Người ở đây và này Người ở kia”, các con chớ đi đến và đừng tìm kiếm. Vì như chớp sáng loè từ chân trời này đến phương trời kia thế nào, thì Con Người cũng sẽ đến trong ngày của Người như vậy. Nhưng tiên vàn Người phải chịu đau khổ nhiều, và bị dòng dõi này xua đuổi”.","end":"Ðó là lời Chúa"}},
+        "5325": {"firstReading":{"excerpt":"(Năm II) 2 Ga 4-9","info":"“Kẻ nào giữ vững đạo lý này, sẽ được Chúa Cha và Chúa Con”.","title":"Trích thư thứ hai của Thánh Gioan Tông đồ.","content":"Thưa Bà đáng kính, tôi rất đỗi vui mừng vì đã gặp thấy trong hàng con cái Bà có những kẻ sống trong chân lý, theo mệnh lệnh chúng ta đã nhận từ nơi Chúa Cha. Và thưa Bà, bây giờ tôi xin Bà, không phải như thể tôi viết cho Bà một mệnh lệnh gì mới, nhưng là mệnh lệnh chúng ta có từ ban đầu: là chúng ta phải thương yêu nhau. Và lòng mến này là chúng ta hãy sống theo mệnh lệnh của Người, vì đây là mệnh lệnh, là anh em hãy sống theo luật yêu mến, như anh em đã học biết từ ban đầu.\r[Ấy là vì đã có lắm kẻ lừa gạt xuất hiện trong thế gian, những kẻ không tuyên xưng Ðức Giêsu Kitô đến trong xác thịt. Ðó là kẻ lừa gạt, và là Phản-Kitô. Hãy coi chừng chính mình anh em, để khỏi làm hư hỏng mất các công khó của chúng tôi, nhưng mà để được lĩnh một phần thưởng sung mãn. Phàm ai xông tới trước mà không lưu lại trong giáo huấn của Ðức Kitô, tất không có Thiên Chúa. Kẻ nào lưu lại trong giáo huấn, kẻ ấy được có Cha và Con.]","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 1. 2. 10. 11. 17. 18","response":"Ðáp: Phúc đức những ai tiến thân trong luật pháp của Chúa (c. 1b).","verses":["Xướng: Phúc đức những ai theo đường lối tinh toàn, họ tiến thân trong luật pháp của Chúa. – Ðáp.","Xướng: Phúc đức những ai giữ lời Ngài nghiêm huấn, những người đó tận tâm kiếm tìm Ngài. – Ðáp.","Xướng: Với tất cả tâm can con tìm Chúa, xin chớ để con lạc xa chỉ thị Ngài. – Ðáp.","Xướng: Con chôn cất trong lòng lời răn của Chúa, để con không phạm tội phản nghịch Ngài. – Ðáp.","Xướng: Xin gia ân cho tôi tớ Ngài được sống, để tuân giữ những lời Ngài răn. – Ðáp.","Xướng: Xin mở rộng tầm con mắt của con, để quan chiêm những điều kỳ diệu trong luật Chúa. – Ðáp."]},"alleluia":{"verse":"1 Ga 2, 5","content":"alleluia! – Ai giữ lời Chúa Kitô, thì quả thật tình yêu của Thiên Chúa đã tuyệt hảo nơi người ấy. – Alleluia."},"gospel":{"excerpt":"Lc 17, 26-37","info":"“Cũng xảy ra như thế trong ngày Con Người xuất hiện”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ rằng: “Như sự kiện đã xảy ra thời Noe thế nào, thì trong ngày Con Người cũng xảy đến như vậy. Thiên hạ cứ ăn uống, cưới vợ gả chồng, mãi cho tới ngày Noe vào tầu, rồi nước lụt đến tiêu diệt mọi người.\r“Lại cũng như đã xảy ra thời ông Lót: người ta ăn uống, mua bán, trồng tỉa, xây cất, nhưng ngày ông Lót ra khỏi thành Sôđôma, thì trời liền mưa lửa và sinh diêm, tiêu diệt mọi người. Cũng sẽ xảy như thế trong ngày Con Người xuất hiện.\r“Trong ngày đó, ai ở trên mái nhà có đồ vật trong nhà, thì chớ xuống lấy đi; và ai ở ngoài đồng cũng đừng trở về. Các con hãy nhớ trường hợp vợ ông Lót. Ai lo cứu mạng sống mình thì sẽ mất, còn ai đành mất sự sống mình thì giữ được nó.\r“Thầy bảo các con: Trong đêm ấy sẽ có hai người trên một giường, thì một người bị đem đi, và người kia sẽ được để lại. Hai phụ nữ xay cùng một cối, thì một người sẽ bị đem đi, còn người kia sẽ được để lại. Hai người ở ngoài đồng, thì một người bị đem đi, và người kia được để lại”.\rCác môn đệ thưa Chúa rằng: “Lạy Thầy, chuyện đó ở đâu vậy?” Người phán bảo các ông: “Xác ở đâu thì diều hâu tựu lại đó”.","end":"Ðó là lời Chúa"}},
+        "5326": {"firstReading":{"excerpt":"(Năm II) 3 Ga 5-8","info":"“Vậy chúng ta phải tiếp đãi những người như thế, để chúng ta cũng được cộng tác với những người hoạt động cho chân lý”.","title":"Trích thư thứ ba của Thánh Gioan Tông đồ.","content":"Ông Gai-ô thân mến, xin ông cứ trung tín làm những gì ông đã thi hành cho các anh em, mặc dầu họ là ngoại kiều. Họ đã chứng minh lòng bác ái của ông trước mặt cộng đoàn; ông nên rộng rãi tiễn họ lên đường sao cho xứng đáng với Chúa. Vả chăng, chính vì danh Chúa, họ đã lên đường mà không nhận lãnh gì của dân ngoại. Vậy chúng ta phải tiếp đãi những người như thế, để chúng ta cũng được cộng tác với những người hoạt động cho Chân lý.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 111, 1-2. 3-4. 5-6","response":"Ðáp: Phúc đức thay người tôn sợ Chúa (c. 1a).","verses":["Xướng: Phúc đức thay người tôn sợ Chúa, người hết lòng ham mộ luật pháp của Ngài. Con cháu người sẽ hùng cường trong đất nước: thiên hạ sẽ chúc phúc cho dòng dõi hiền nhân.","Xướng: Trong nhà người có tài sản phú quỳ, và lòng quảng đại người còn mãi muôn đời. Trong u tối người xuất hiện như sự sáng soi kẻ lòng ngay, người nhân hậu, từ bi và công minh.","Xướng: Phúc đức cho người biết xót thương và cho vay, biết quản lý tài sản mình theo đức công bình. Cho tới đời đời người sẽ không nao núng: người hiền đức sẽ được ghi nhớ muôn đời."]},"alleluia":{"verse":"2 Tm 1, 10b","content":"alleluia! – Ðấng Cứu Chuộc chúng ta là Ðức Giêsu Kitô đã dùng Tin Mừng mà tiêu diệt sự chết, và chiếu soi sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 18, 1-8","info":"“Thiên Chúa sẽ minh xử cho những kẻ Người tuyển chọn hằng kêu cứu với Người”.","title":"Tin Mừng Chúa Giêsu Kitô theo Thánh Luca.","content":"Khi ấy, Chúa Giêsu phán cùng các môn đệ một dụ ngôn, dạy các ông phải cầu nguyện luôn, đừng ngã lòng mà rằng:\r“Trong thành kia, có một vị thẩm phán không kính sợ Thiên Chúa, cũng không kiêng nể người ta. Trong thành đó lại có một bà goá đến thưa ông ấy rằng: “Xin ông minh oan cho tôi khỏi tay kẻ thù”. Trong một thời gian lâu dài, ông không chịu, nhưng sau đó ông nghĩ rằng: “Mặc dầu ta không kính sợ Thiên Chúa, mà cũng chẳng kính nể người ta, nhưng vì bà goá này cứ quấy rầy ta mãi, nên ta sẽ xử cho bà ấy, kẻo bà ấy đến mãi làm ta nhức óc”.\rRồi Chúa phán: “Các con hãy nghe lời vị thẩm phán bất lương nói đó. Vậy Thiên Chúa lại không minh xử cho những kẻ Người tuyển chọn hằng kêu cứu với Người đêm ngày, mà khoan giãn với họ mãi sao? Thầy bảo các con, Chúa sẽ kíp giải oan cho họ. Nhưng khi Con Người đến, liệu sẽ còn gặp được lòng tin trên mặt đất nữa chăng?”","end":"Ðó là lời Chúa"}},
+        "5331": {"firstReading":{"excerpt":"(Năm II) Kh 1, 1-4; 2, 1-5a","info":"“Hãy nhớ lại ngươi đã sa sút từ mức nào và hãy hối cải”.","title":"Khởi đầu sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Mạc khải của Ðức Giê-su Ki-tô mà Thiên Chúa đã ban cho Người, để Người tỏ cho các tôi tớ Người các điều sắp xảy ra. Vậy Người đã sai thiên thần loan báo cho tôi tớ người là Gio-an, và Gio-an làm chứng rằng tất cả những gì ông đã thấy là lời của Thiên Chúa và lời chứng của Ðức Giê-su Ki-tô. Phúc cho ai đọc và nghe các lời tiên tri này, cùng tuân giữ những điều đã chép trong đó, vì thời giờ đã gần.\rGio-an kính gởi bảy Giáo đoàn ở Tiểu Á. Nguyện chúc ân sủng và bình an cho anh em do từ Ðấng đang có, đã có và sẽ đến và do từ bảy thần linh đứng trước ngai của Người.\rTôi nghe Chúa phán bảo tôi: “Hãy viết cho thiên thần Giáo đoàn Ê-phê-xô rằng: ‘Ðây là lời của Ðấng cầm bảy ngôi sao trong tay hữu và đi giữa bảy chân đèn bằng vàng. Ta biết việc làm của ngươi nổi bật và lòng kiên nhẫn của ngươi; Ta biết ngươi không thể dung kẻ bất lương; ngươi đã thử thách những kẻ tự cho mình là tông đồ, mà kỳ thực thì không phải, nhưng ngươi đã thấu rõ họ là hạng gian dối. Ngươi có lòng kiên nhẫn, ngươi đã chịu đựng vì danh Ta mà không sờn lòng. Nhưng Ta trách ngươi điều này, là ngươi đã bỏ lòng yêu mến thuở ban đầu. Vậy hãy nhớ lại xem ngươi đã sa sút từ mức nào, hãy ăn năn hối cải và làm lại những việc thuở ban đầu’ “.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 1, 1-2. 3. 4 và 6","response":"Ðáp: Ta sẽ cho kẻ thắng trận ăn trái cây sự sống (Kh 2, 7b).","verses":["Xướng: Phúc cho ai không theo mưu toan kẻ gian ác, không đứng trong đường lối những tội nhân, không ngồi chung với những quân nhạo báng, nhưng vui thoả trong lề luật Chúa, và suy ngắm luật Chúa đêm ngày. – Ðáp.","Xướng: Họ như cây trồng bên suối nước, trổ sinh hoa trái đúng mùa: lá cây không bao giờ tàn úa. Tất cả công việc họ làm đều thịnh đạt. – Ðáp.","Xướng: Kẻ gian ác không được như vậy: họ như vỏ trấu bị gió cuốn đi, vì Chúa canh giữ đường người công chính, và đường kẻ gian ác dẫn tới diệt vong. – Ðáp."]},"alleluia":{"verse":"Lc 16, 31","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! Chúa nói: Tôi là ánh sáng thế gian. Ai theo tôi sẽ nhận được ánh sáng đem lại sự sống. – Alleluia."},"gospel":{"excerpt":"Lc 18, 35-43","info":"“Ngươi muốn Ta làm gì cho ngươi? – Lạy Ngài, xin cho tôi được xem thấy”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi Chúa đến gần thành Giê-ri-cô, thì có một người mù ngồi ăn xin bên vệ đường. Khi nghe tiếng đám đông đi qua, anh liền hỏi có chuyện gì đó. Người ta nói cho anh biết có Ðức Giê-su Nazareth đang đi qua. Bấy giờ anh liền kêu lên rằng: “Lạy ông Giê-su con vua Ða-vít, xin thương xót tôi!” Những người đi trước mắng bảo anh nín đi, nhưng anh lại càng kêu lớn tiếng hơn: “Lạy con vua Ða-vít, xin thương xót tôi!” Vậy Chúa Giê-su dừng lại, truyền dẫn anh đến cùng Người. Khi anh đến gần bên Người, Người hỏi anh: “Ngươi muốn Ta làm gì cho ngươi?” Anh thưa: “Lạy Ngài, xin cho tôi được xem thấy”. Chúa Giê-su bảo anh: “Hãy nhìn xem, lòng tin của ngươi đã cứu chữa ngươi”. Tức khắc anh thấy được và anh đi theo Người, và ca tụng Thiên Chúa. Thấy vậy toàn dân liền ca ngợi Thiên Chúa.","end":"Ðó là lời Chúa"}},
+        "5332": {"firstReading":{"excerpt":"(Năm II) Kh 3, 1-6. 14-22","info":"“Ai mở cửa cho Ta, Ta sẽ vào dùng bữa tối ở nhà người ấy”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an, tôi đã nghe Chúa phán bảo tôi rằng: “Hãy viết cho thiên thần Giáo đoàn Sarđê rằng: ‘Ðây là lời Ðấng có bảy thần linh Thiên Chúa và bảy ngôi sao: Ta biết các việc của ngươi làm; ngươi có tiếng là đang sống, nhưng ngươi đã chết. Hãy lo tỉnh dậy, hãy bồi dưỡng chút sinh khí sắp tàn. Vì Ta không thấy các việc ngươi làm trọn hảo trước mặt Thiên Chúa Ta. Vậy hãy nhớ lại ngươi đã đón nhận và nghe lời Chúa thế nào, hãy giữ lấy lời ấy và hãy ăn năn hối cải. Vì nếu ngươi không tỉnh thức, Ta sẽ đến với ngươi như một kẻ trộm, ngươi sẽ không biết giờ nào Ta sẽ bất chợt đến cùng ngươi. Nhưng tại Sarđê ngươi có một số người đã không làm dơ bẩn áo của họ; và họ sẽ tháp tùng Ta trong bộ áo trắng của họ vì họ xứng đáng. Như vậy kẻ chiến thắng sẽ mặc áo trắng, và Ta sẽ không xoá bỏ tên người ấy khỏi Sách hằng sống, và Ta sẽ tuyên danh người ấy trước mặt Cha Ta và các thiên thần Người. Ai có tai thì hãy nghe điều Thần linh phán với các giáo đoàn.\r“Hãy viết cho giáo đoàn Lao-đi-ci-a rằng: ‘Ðây là lời của Amen, chứng nhân trung thực, nguyên thuỷ công trình sáng thế của Thiên Chúa. Ta biết các việc làm của ngươi: ngươi không lạnh mà cũng không nóng; phải chi ngươi lạnh hẳn hoặc nóng hẳn đi! Bởi vì ngươi hâm hẩm, không lạnh không nóng, nên Ta sẽ mửa ngươi ra khỏi miệng Ta. Bởi vì ngươi nói rằng: Tôi giàu có, tôi sung túc, tôi không thiếu thốn gì nữa. Bởi vì ngươi không biết rằng thực ra ngươi vô phúc, đáng thương, nghèo khó, đui mù và trần trụi. Vậy ngươi hãy nghe lời Ta khuyên bảo: Hãy mua vàng ròng mà làm giàu, mua áo trắng tinh mà mặc, hầu che giấu sự trần trụi xấu hổ của ngươi; hãy mua thuốc nhỏ vào mắt, cho mắt ngươi được sáng. Ta răn bảo và sửa dạy những kẻ Ta yêu thương. Vậy hãy sốt sắng hơn lên và hối cải đi. Này Ta đứng ngoài cửa, Ta gõ; nếu ai nghe tiếng Ta mà mở cửa cho Ta, Ta sẽ vào nhà người ấy và dùng bữa tối với nó, và nó sẽ dùng bữa với Ta. Ai chiến thắng, Ta sẽ cho ngồi với Ta trên ngai của Ta, cũng như Ta đã chiến thắng và ngự với Cha Ta trên ngai của Người. Ai có tai thì hãy nghe điều Thần linh phán với các giáo đoàn”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 14, 2-3ab. 3cd-4ab. 5","response":"Ðáp: Ai chiến thắng, Ta sẽ cho ngồi với Ta trên ngai của Ta (Kh 3, 21).","verses":["Xướng: Người sống thanh liêm và thực thi công chính, và trong lòng suy nghĩ điều ngay, và lưỡi không bịa lời vu khống.","Xướng: Người không làm ác hại bạn đồng liêu, cũng không làm nhục cho ai lân cận. Người coi rẻ đứa bất nhân, nhưng kính yêu những ai tôn sợ Chúa.","Xướng: Người không xuất tiền đặt nợ thu lời, cũng không ăn hối lộ hại người hiền lương. Người thực thi những điều kể đó, thì muôn đời chẳng có lung lay."]},"alleluia":{"verse":"Lc 21, 28","content":"alleluia! – Các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến. – Alleluia."},"gospel":{"excerpt":"Lc 19, 1-10","info":"“Con Người đến tìm kiếm và cứu chữa điều gì đã hư mất”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su vào Giê-ri-cô và đi ngang qua thành, thì kìa, có một người tên là Gia-kêu, ông thủ lãnh những người thu thuế và là người giàu có. Ông tìm cách để nhìn xem Chúa Giê-su là người thế nào, nhưng không thể được, vì người ta đông quá, mà ông lại thấp bé. Vậy ông chạy lên trước, trèo lên một cây sung để nhìn xem Người, vì Người sắp đi ngang qua đó. Khi vừa đến nơi, Chúa Giê-su nhìn lên và trông thấy ông ấy, nên Người bảo ông rằng: “Hỡi Gia-kêu, hãy xuống mau, vì hôm nay Ta phải lưu lại tại nhà ngươi”. Ông vội vàng trụt xuống và vui vẻ đón tiếp Người. Mọi người thấy vậy, liền lẩm bẩm rằng: “Ông này lại đến trọ nhà một người tội lỗi”. Ông Gia-kêu đứng lên thưa cùng Chúa rằng: “Lạy Ngài, tôi xin bố thí nửa phần của cải tôi cho kẻ khó, và nếu tôi có làm thiệt hại cho ai điều gì, tôi xin đền gấp bốn”. Chúa Giê-su bảo ông ấy rằng: “Hôm nay nhà này được ơn cứu độ, bởi người này cũng là con cái Áp-ra-ham. Vì chưng, Con Người đến tìm kiếm và cứu chữa điều gì đã hư mất”.","end":"Ðó là lời Chúa"}},
+        "5333": {"firstReading":{"excerpt":"(Năm II) Kh 4, 1-11","info":"“Thánh, Chúa là Thiên Chúa toàn năng, Ðấng đã có, hiện có và sẽ đến”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an, tôi đã thấy: kìa cửa trời mở ra và tiếng tôi đã nghe trước kia nói cùng tôi như tiếng loa rằng: “Hãy lên đây, Ta sẽ cho ngươi thấy điều phải xảy ra sau này”. Bỗng tôi xuất thần, và kìa, một ngai đã đặt trên trời, có Ðấng ngự trên ngai, và Ðấng ngự trên ngai rực rỡ như bích ngọc hoặc như hồng thạch; có mống cầu vồng màu lục thạch bao bọc ngai. Chung quanh ngai có hai mươi bốn toà, và trên đó, có hai mươi bốn trưởng lão, mặc áo trắng tinh, đầu đội triều thiên vàng. Từ nơi ngai phát ra những tia chớp, tiếng nói và tiếng sấm; lại có bảy cây đèn cháy trước ngai, đó là bảy Thần linh của Thiên Chúa. Phía trước ngai coi như có biển trong ngần như pha lê.\rCòn chính giữa và chung quanh ngai có bốn con vật, đàng trước đàng sau chỗ nào cũng có mắt: Con vật thứ nhất giống như sư tử; con vật thứ hai giống như con bò; con thứ ba có dung mạo như mặt người; con thứ tư như chim phượng hoàng đang bay. Bốn con vật ấy con nào cũng có sáu cánh quanh mình, và trong mình đầy những mắt, ngày đêm không ngớt tung hô:\r“Thánh, Thánh, Thánh! Chúa là Thiên Chúa toàn năng, Ðấng đã có, hiện có, và sẽ đến”.\rVà mỗi lần bốn con vật tôn vinh, chúc tụng và cảm tạ Ðấng ngự trên ngai, là Ðấng hằng sống muôn đời, thì hai mươi bốn trưởng lão phủ phục trước Ðấng ngự trên ngai và thờ lạy Ðấng hằng sống muôn đời; họ gỡ triều thiên của họ mà đặt trước ngai và tung hô rằng: “Lạy Chúa là Thiên Chúa chúng con, Chúa đáng được vinh quang, danh dự và quyền năng, vì chính Chúa đã tạo thành vạn vật, chính do ý Chúa mà muôn vật mới có và được tạo thành”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 150, 1-2. 3-4. 5-6","response":"Ðáp: Thánh, thánh, thánh! Chúa là Thiên Chúa toàn năng (Kh 4, 8b).","verses":["Xướng: Hãy ngợi khen Chúa trong Thánh đài của Chúa, ngợi khen Chúa nơi thanh không cao cả của Người. Hãy ngợi khen Người vì những kỳ công vĩ đại, ngợi khen Người bởi sự Người tuyệt đối oai nghiêm.","Xướng: Hãy ngợi khen Người với tiếng kèn rầm rộ, ngợi khen Người với cây đàn sắt đàn cầm. Hãy ngợi khen Người với trống rung và ca vũ, ngợi khen Người với tiếng tơ đàn, với ống tiêu.","Xướng: Hãy ngợi khen Người với âm vang não bạt, ngợi khen Người với tiếng rền rĩ mã la. Phàm vật chi có hơi thở, hãy ngợi khen Thiên Chúa."]},"alleluia":{"verse":"Tv 110, 8ab","content":"alleluia! – Lạy Chúa, mọi gới răn Chúa được lập ra cho tới muôn đời. – Alleluia."},"gospel":{"excerpt":"Lc 19, 11-28","info":"“Sao ngươi không gửi bạc Ta ở ngân hàng”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán thêm một dụ ngôn nữa, vì Người đã đến gần Giê-ru-sa-lem, mà dân chúng lại cứ tưởng là Nước Thiên Chúa sắp xuất hiện trong giây lát. Vậy Người phán rằng:\r“Có người quý tộc kia đi phương xa để được phong vương rồi trở về. Ông cho gọi mười người tôi tớ đến, giao cho họ mười nén bạc và dặn rằng: “Hãy làm lợi cho đến khi ta trở về”. Nhưng các người dân của ông ấy ghét ông, sai người đi theo mà rằng: “Chúng tôi không muốn ông ấy làm vua chúng tôi”. Ðược phong vương rồi ông trở về, cho gọi các tôi tớ mà trước kia ông đã giao tiền cho, để biết mỗi người đã làm lợi được bao nhiêu.\r“Người thứ nhất đến và thưa: “Tâu vua, nén bạc của vua đã sinh lợi được mười nén”. Nhà vua bảo: “Ðược, hỡi người tôi tớ tốt lành, ngươi đã trung tín trong điều nhỏ mọn, ngươi sẽ được quyền cai trị mười thành”. Người thứ hai đến thưa: “Tâu vua, nén bạc của vua đã sinh lợi được năm nén”. Nhà vua đáp: “Ngươi cũng vậy, hãy cai quản năm thành”.\r“Người thứ ba đến thưa: “Tâu vua, đây nén bạc của vua, tôi còn giữ trong khăn, vì tôi sợ ngài: ngài là người hà khắc, và lấy cái ngài không gửi, gặt cái ngài không gieo”. Vua phán rằng: “Hỡi đầy tớ bất lương, ta cứ lời ngươi mà xử ngươi. Ngươi đã biết ta là người hà khắc, lấy cái ta không gửi, gặt cái ta không gieo, sao ngươi không gửi bạc ta ở ngân hàng, để rồi khi ta trở về, ta có thể lấy cả vốn lẫn lời”.\r“Vua liền bảo những người đứng đó rằng: “Hãy lấy nén bạc của nó mà trao cho người đã có mười nén”. Họ tâu rằng: “Tâu vua, người ấy đã có mười nén rồi”. Vua đáp: “Ta nói cùng các ngươi: Ai có sẽ cho thêm, và người đó sẽ được dư dật; còn ai không có, người ta sẽ lấy đi cả cái nó đang có. Còn những kẻ nghịch cùng ta, không muốn ta làm vua, hãy đem chúng ra đây và giết chúng trước mặt ta”. Nói thế rồi Chúa liền dẫn họ lên Giê-ru-sa-lem.","end":"Ðó là lời Chúa"}},
+        "5334": {"firstReading":{"excerpt":"(Năm II) Kh 5, 1-10","info":"“Chiên con đã bị sát tế và đã lấy máu mình mà cứu chuộc chúng tôi thuộc mọi nước”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an, tôi đã thấy nơi tay hữu Ðấng ngự trên ngai một cuốn sách viết cả trong lẫn ngoài, có ấn niêm phong. Và tôi thấy một thiên thần hùng dũng lớn tiếng tuyên bố rằng: “Ai xứng đáng mở sách và tháo ấn?” Nhưng cả trên trời, dưới đất và trong lòng đất không ai có thể mở và đọc sách ấy. Tôi khóc lớn tiếng vì chẳng có ai xứng đáng mở và đọc sách ấy. Rồi một trong các trưởng lão nói với tôi rằng: “Thôi đừng khóc nữa, này đây sư tử của chi tộc Giu-đa, dòng dõi của Ða-vít đã toàn thắng, chính Người sẽ mở sách và tháo bảy ấn niêm phong”.\rTôi đây cũng trông thấy khoảng giữa ngai và bốn con vật cùng các trưởng lão, có một Chiên Con đang đứng như đã bị sát tế, có bảy sừng và bảy mắt: tức là bảy thần linh của Thiên Chúa được sai đi khắp địa cầu. Chiên Con tiến đến lấy cuốn sách nơi tay hữu Ðấng ngự trên ngai. Khi Chiên Con vừa cầm sách, thì bốn con vật phủ phục trước Chiên Con, cả hai mươi bốn trưởng lão cũng làm như thế, mỗi người mang đàn huyền cầm và chén vàng đầy hương thơm, tức là lời cầu nguyện của các thánh. Họ hát một bài ca mới rằng:\r“Lạy Ngài, Ngài đáng lãnh sách và tháo ấn, vì Ngài đã chịu chết và đã lấy máu Ngài mà cứu chuộc chúng con thuộc mọi chi tộc, mọi ngôn ngữ, mọi dân và mọi nước, về cho Thiên Chúa. Ngài đã làm chúng con trở thành vương quốc và tư tế cho Thiên Chúa; và chúng con sẽ được cai trị địa cầu”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 149, 1-2. 3-4. 5-6a và 9b","response":"Ðáp: Ngài đã làm cho chúng tôi trở thành vương quốc và tư tế cho Thiên Chúa (Kh 5, 10).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới; hãy vang lên lời khen ngợi trong công hội các tín đồ. Ít-ra-en hãy mừng vui vì Ðấng tạo tác bản thân; con cái Si-on hãy hân hoan vì vua của họ.","Xướng: Họ hãy hoà nhạc để ngợi khen Người; hãy hát mừng Người với cây đàn cầm, với trống con: bởi vì Chúa yêu thương dân Người, và ban cho kẻ khiêm nhường chiến thắng vẻ vang.","Xướng: Các tín đồ hãy mừng rỡ trong vinh quang, hãy hoan hỉ trong những nơi khu phố. Miệng họ hãy reo lên lời hoan hô Thiên Chúa. Ðó là vinh quang cho mọi tín đồ của Chúa."]},"alleluia":{"verse":"x. Cv 16, 14b","content":"alleluia! – Lạy Chúa, xin hãy mở lòng chúng con, để chúng con nghe lời Con Chúa. – Alleluia."},"gospel":{"excerpt":"Lc 19, 41-44","info":"“Chớ chi ngươi hiểu biết sứ điệp mang hoà bình lại cho ngươi”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su đến gần Giê-ru-sa-lem, trông thấy thành thì Người khóc thương thành ấy mà rằng: “Chớ chi hôm nay ngươi hiểu biết sứ điệp mang hoà bình lại cho ngươi! Nhưng giờ đây, sứ điệp ấy bị che khuất khỏi mắt ngươi. Vì sẽ đến ngày quân thù đắp lũy bao vây ngươi, xiết chặt ngươi tứ bề. Chúng sẽ tàn phá ngươi bình địa, ngươi cùng con cái ở trong thành. Chúng sẽ không để lại hòn đá nào trên hòn đá nào, vì ngươi đã không nhận biết giờ ngươi được thăm viếng”.","end":"Ðó là lời Chúa"}},
+        "5335": {"firstReading":{"excerpt":"(Năm II) Kh 10, 8-11","info":"“Tôi cầm lấy cuốn sách mà nuốt”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an, tôi đã nghe có tiếng từ trời phán cùng tôi rằng: “Ngươi hãy đi lấy cuốn sách mở sẵn trên tay thiên thần đứng trên biển và trên đất”. Tôi liền đến xin thiên thần trao cho tôi cuốn sách ấy và người nói với tôi: “Ngươi hãy cầm lấy sách mà nuốt đi; nó sẽ làm cho ruột gan ngươi đầy cay đắng, nhưng miệng ngươi lại cảm thấy ngọt ngào như mật”. Tôi cầm lấy cuốn sách từ tay thiên thần mà nuốt; miệng tôi cảm thấy ngọt ngào như mật, nhưng khi tôi đã nuốt rồi thì nó làm cho ruột gan tôi đầy cay đắng. Bấy giờ tiếng lại phán cùng tôi rằng: “Ngươi còn phải nói tiên tri cho nhiều dân, nhiều nước, nhiều ngôn ngữ và nhiều vua chúa nữa”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 118, 14. 24. 72. 103. 111. 131","response":"Ðáp: Những lời sấm của Chúa ngon ngọt thay cho cổ họng con (c. 103a).","verses":["Xướng: Con vui vì đường lối lời Ngài nghiêm huấn, dường như được mọi thứ giàu sang.","Xướng: Vì lời nghiêm huấn của Ngài là điều con ưa thích, các thánh chỉ Ngài là những bậc cố vấn của con.","Xướng: Ðối với con, luật pháp do miệng Chúa đáng chuộng hơn vàng bạc châu báu muôn ngàn.","Xướng: Những lời sấm của Ngài ngon ngọt thay cho cổ họng con, ngọt hơn cả mật ong đổ miệng con.","Xướng: Lời Ngài nghiêm huấn là sản nghiệp của con muôn đời, vì những điều đó khiến cho lòng con hoan hỉ.","Xướng: Con há miệng để hút nguồn sinh khí, vì con ham muốn những chỉ thị của Ngài."]},"alleluia":{"verse":"Tv 118, 34","content":"alleluia! – Lạy Chúa, xin giáo huấn con, để con tuân cứ luật pháp của Chúa, và để con hết lòng vâng theo luật đó. – Alleluia."},"gospel":{"excerpt":"Lc 19, 45-48","info":"“Các ngươi đã biến đền thờ Thiên Chúa thành sào huyệt trộm cướp”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su vào đền thờ, Người liền xua đuổi các người buôn bán tại đó và phán bảo họ rằng: “Có lời chép rằng: Nhà Ta là nhà cầu nguyện, các ngươi đã biến thành sào huyệt trộm cướp”. Và hằng ngày Người giảng dạy trong Ðền thờ. Các thượng tế, luật sĩ và kỳ lão trong dân tìm cách hại Người, nhưng họ không biết phải làm cách nào, vì dân chúng hết thảy đều chăm chú nghe Người.","end":"Ðó là lời Chúa"}},
+        "5336": {"firstReading":{"excerpt":"(Năm II) Kh 11, 4-12","info":"“Hai vị tiên tri ấy đã làm cho dân trên hoàn cầu chịu nhiều khổ cực”.","title":"Trích sách Khải Huyền của Thánh Gioan Tông đồ.","content":"Có lời phán cùng tôi là Gioan rằng: “Hai chứng tá của Ta là hai cây ôliu và hai cây đèn đặt trước mặt Chúa Tể địa cầu. Và nếu ai toan hãm hại các ngài, thì sẽ có lửa từ miệng các ngài phun ra tiêu diệt các địch thù; ai toan làm hại các ngài thì chính kẻ ấy phải bị giết như vậy. Các ngài có quyền đóng cửa trời, khiến trời không mưa trong những ngày các ngài nói tiên tri. Các ngài lại có quyền biến nước thành máu, và gieo tai hoạ cho trần gian bất cứ lúc nào tùy ý. Và khi các ngài đã hoàn tất nhiệm vụ chứng tá rồi, thì con mãnh thú từ vực thẳm lên sẽ giao chiến với các ngài, nó sẽ thắng và giết chết các ngài. Thi thể các ngài sẽ bị bêu nơi công trường của Thành lớn, gọi cách bóng bảy là Sôđôma và Ai-cập, là nơi Chúa các ngài đã bị đóng đinh. Thiên hạ thuộc mọi chi tộc, mọi dân, mọi nước, và mọi ngôn ngữ, đã xem thấy thi thể các ngài trong ba ngày rưỡi, và người ta không để cho thi thể các ngài được chôn cất trong mộ. Dân chúng trên khắp mặt đất sẽ vui mừng vì cái chết của các ngài và hoan hỉ tặng quà cho nhau, vì hai vị tiên tri ấy đã từng làm cho họ chịu nhiều khổ cực. Nhưng sau ba ngày rưỡi, (sinh khí từ) Thiên Chúa nhập vào các ngài. Và các ngài đứng dậy, khiến cho những người trông thấy phải khiếp sợ. Rồi các ngài nghe có tiếng vang lớn từ trời phán cùng các ngài rằng: ‘Hãy lên đây’. Các ngài liền lên trời, trong đám mây trước mắt các địch thù của các ngài.\rChính lúc đó đất chuyển động dữ dội, và một phần mười của thành thị bị sụp đổ, làm bảy ngàn người thiệt mạng trong cơn động đất ấy. Còn các người sống sót thì kính sợ và cao rao vinh danh Ðức Chúa Trời”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 143, 1. 2. 9-10","response":"Ðáp: Ôi Ðá Tảng của con, chúc tụng Chúa! (c. 1a).","verses":["Xướng: Ôi Ðá Tảng của con, chúc tụng Chúa là Ðấng rèn luyện cho tay con biết đấu tranh, cho các ngón tay con thiện nghề chinh chiến.","Xướng: Chúa là tình thương và là chiến luỹ, là Ðấng phù trợ và giải phóng con. Chúa là khiên thuẫn, là chỗ con nương náu; Ngài bắt chư dân phải khuất phục con.","Xướng: Ôi Thiên Chúa, con sẽ hát mừng Ngài bài ca mới; với cây đàn mười dây, con sẽ ca mừng Ngài, vì Ngài đã ban cho các vua chiến thắng, đã giải phóng Ðavít là tôi tớ của Ngài."]},"alleluia":{"verse":"Pl 2, 15-16","content":"alleluia! – Anh em hãy tích trữ lời ban sự sống, anh em hãy chiếu sáng như những vì sao ở giữa thế gian. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia! – Đấng Cứu Độ chúng ta là Đức Giê-su Ki-tô đã tiêu diệt thần chết, và đã dùng Tin Mừng mà làm sáng tỏ phúc trường sinh.- Alleluia."},"gospel":{"excerpt":"Lc 20, 27-40","info":"“Thiên Chúa không phải là Thiên Chúa của kẻ chết, nhưng của kẻ sống”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, có mấy người thuộc phái Sa-đốc, là những người chối không tin có sự sống lại, đến gần Chúa Giê-su hỏi Người rằng: “Thưa Thầy, Mô-sê đã viết cho chúng tôi: nếu ai có một người anh cưới vợ, rồi chết đi mà không có con, thì người em phải cưới người vợ đó để anh mình có kẻ nối dòng. Vậy có bảy anh em: người thứ nhất cưới vợ, rồi chết mà không có con. Người kế tiếp cưới vợ goá đó, rồi cũng chết không con. Người thứ ba cũng cưới người vợ góa đó. Và tất cả bảy người đều cưới như vậy và đều chết mà không để lại người con nào. Sau cùng người thiếu phụ đó cũng chết. Vậy đến ngày sống lại, người đàn bà đó sẽ là vợ ai trong các người ấy, vì tất cả bảy người đều lấy người ấy làm vợ?”\rChúa Giê-su trả lời rằng: “Con cái đời này cưới vợ lấy chồng, song những ai sẽ xét đáng được dự phần đời sau và được sống lại từ cõi chết, thì sẽ không cưới vợ lấy chồng; họ sẽ không thể chết nữa, vì họ giống như thiên thần, họ là con cái Thiên Chúa: vì họ là con cái của sự sống lại. Về vấn đề kẻ chết sống lại, thì Mô-sê trong đoạn nói về Bụi gai, khi ông gọi Chúa là Thiên Chúa Áp-ra-ham, Thiên Chúa I-sa-ac, và Thiên Chúa Gia-cóp. Thiên Chúa không phải là Thiên Chúa của kẻ chết, mà là của kẻ sống, vì mọi người đều sống cho Chúa”.\rBấy giờ có mấy luật sĩ lên tiếng thưa Người rằng: “Lạy thầy, Thầy dậy đúng lắm”. Và họ không dám hỏi Người điều gì nữa.","end":"Ðó là lời Chúa"}},
+        "5341": {"firstReading":{"excerpt":"(Năm II) Kh 14, 1-3, 4b-5","info":"“Tên của Ðức Ki-tô và của Cha Người viết trên trán họ”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an, tôi ngắm nhìn: thì đây Con Chiên đứng trên núi Si-on; cùng với Con Chiên, có một trăm bốn mươi tư ngàn người mang tên của Con Chiên và tên Cha Con Chiên viết trên trán họ. Tôi nghe có tiếng từ trời, như tiếng sóng gầm nước đổ, như tiếng sấm vang rền, và tiếng tôi nghe tựa hồ như tiếng đàn cầm do những người chơi đàn cầm gảy. Họ hát bài ca vãn mới trước toà và trước mặt bốn sinh vật và các vị bô lão: ngoài một trăm bốn mươi tư ngàn người đã được mua chuộc từ cõi đất, không một ai có thể hát bài ca vãn đó. Hễ Con Chiên đi đâu, thì họ theo đó. Họ là những người được mua chuộc giữa nhân loại, làm của đầu mùa dâng lên Thiên Chúa và cho Con Chiên. Miệng họ không nói lời gian dối; họ cũng chẳng tì ố trước toà Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 23, 1-2. 3-4ab. 5-6","response":"Ðáp: Ðó là dòng dõi người tìm kiếm long nhan Thiên Chúa (c. 6).","verses":["Xướng: Chúa là chủ trái đất và mọi vật làm sung mãn nó, chủ địa cầu và muôn loài cư trú ở trong. Vì chính Ngài xây dựng nó trên biển cả, và Ngài giữ vững nó trên chỗ nước nguồn.","Xướng: Ai khá trèo lên cao sơn của Chúa, ai được đứng trong nơi thánh của Ngài? Người tay vô tội và lòng thanh khiết, người không để lòng xu hướng bả phù hoa.","Xướng: Người đó sẽ được Chúa chúc phúc cho, và được Thiên Chúa là Ðấng cứu độ ban ân thưởng. Ðó là dòng dõi người tìm kiếm Chúa, người tìm long nhan Thiên Chúa nhà Giacóp."]},"alleluia":{"verse":"Lc 21, 36","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 21, 1-4","info":"“Người thấy một bà goá nghèo khó bỏ vào đó hai đồng tiền nhỏ”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su nhìn lên, thấy những người giàu có bỏ tiền dâng cúng vào hòm tiền. Người cũng thấy một bà goá nghèo khó bỏ vào đó hai đồng tiền nhỏ, nên bảo rằng: “Thầy bảo thật các con, bà goá nghèo khó này đã bỏ vào hòm tiền nhiều hơn mọi người. Vì mọi người kia lấy của dư thừa mà dâng cho Thiên Chúa, còn bà này túng thiếu, bà đã dâng tất cả những gì bà có để nuôi sống mình”.","end":"Ðó là lời Chúa"}},
+        "5342": {"firstReading":{"excerpt":"(Năm II) Kh 14, 14-19","info":"“Ðã đến giờ gặt, vì lúa gặt trên đất đã chín rồi”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an, tôi đã nhìn thấy có đám mây trắng: trên đám mây có ai ngồi giống như Con Người, đầu đội triều thiên bằng vàng và tay cầm liềm sắc bén. Có một thiên thần khác từ trong đền thờ đi ra kêu lớn tiếng cùng Ðấng ngồi trên đám mây mà rằng: “Hãy hạ liềm xuống mà gặt đi, vì đã đến mùa màng trên đất đã chín rồi”. Ðấng ngự trên đám mây liền quăng liềm xuống đất và lúa trên đất được gặt hết. Có một thiên thần khác từ trong đền thờ trên trời đi ra, người cũng cầm một cái liềm sắc bén. Và một thiên thần khác nữa từ trong bàn thờ đi ra, vị này có quyền cai trị lửa, người kêu lớn tiếng cùng thiên thần cầm liềm sắc bén mà rằng: “Hãy hạ liềm sắc bén xuống mà cắt những chùm nho nơi vườn nho dưới đất, vì nho trong vườn đã chín rồi”. Thiên thần kia hạ liềm sắc bén xuống đất, cắt nho nơi vườn nho dưới đất và bỏ vào thùng lớn cơn thịnh nộ của Thiên Chúa.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 95, 10. 11-12. 13","response":"Ðáp: Chúa ngự tới cai quản địa cầu (c. 13b).","verses":["Xướng: Hãy công bố giữa chư dân rằng: Thiên Chúa ngự trị. Người giữ vững địa cầu cho nó khỏi lung lay; Người cai quản chư dân theo đường đoan chính.","Xướng: Trời xanh hãy vui mừng và địa cầu hãy hân hoan! Biển khơi và muôn vật trong đó hãy reo lên! Ðồng nội và muôn loài trong đó hãy mừng vui! Các rừng cây hãy vui tươi hớn hở!","Xướng: Trước nhan Thiên Chúa: vì Người ngự tới, vì Người ngự tới cai quản địa cầu. Người sẽ cai quản địa cầu cách công minh và chư dân cách chân thành."]},"alleluia":{"verse":"Lc 21, 36","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 21, 5-11","info":"“Không còn hòn đá nào nằn trên hòn đá nào”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, có mấy người trầm trồ về đền thờ được trang hoàng bằng đá tốt và những lễ vật quý, nên Chúa Giêsu phán rằng: “Những gì các con nhìn ngắm đây, sau này sẽ đến ngày không còn hòn đá nào nằm trên hòn đá nào mà chẳng bị tàn phá”. Bấy giờ các ông hỏi Người rằng: “Thưa Thầy, bao giờ những sự ấy sẽ xảy ra, và cứ dấu nào mà biết những sự đó sắp xảy đến?” Người phán: “Các con hãy ý tứ kẻo bị người ta lừa dối: vì chưng, sẽ có nhiều kẻ mạo danh Thầy đến mà tự xưng rằng: “Chính ta đây và thời gian đã gần đến”, các con chớ đi theo chúng. Khi các con nghe nói có chiến tranh loạn lạc, các con đừng sợ: vì những sự ấy phải đến trước đã, nhưng chưa phải là hết đời ngay đâu”.\rBấy giờ Người phán cùng các ông ấy rằng: “Dân này sẽ nổi dậy chống lại dân kia, và nước này sẽ chống với nước nọ. Sẽ có những cuộc động đất lớn mọi nơi, sẽ có ôn dịch đói khát, những hiện tượng kinh khủng từ trên trời và những điềm lạ cả thể”.","end":"Ðó là lời Chúa"}},
+        "5343": {"firstReading":{"excerpt":"(Năm II) Kh 15, 1-4","info":"“Hãy xướng ca bài ca vãn Mô-sê và ca vãn Con Chiên”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an đã nhìn thấy điềm lạ vĩ đại và huyền diệu khác trên trời, là bảy thiên thần cai bảy tai ương sau hết, những tai ương này làm cho Thiên Chúa hết cơn thịnh nộ.\rVà tôi đã thấy như biển thuỷ tinh chan hoà ánh lửa và những kẻ đã thắng được mãnh thú và hình tượng cùng số tên của nó, đều đứng trên biển thuỷ tinh gảy đàn cầm ngợi khen Thiên Chúa, và xướng bài ca vãn Mô-sê tôi tớ Chúa, cùng bài ca vãn Con Chiên rằng:\r“Lạy Chúa là Thiên Chúa toàn năng, các công trình của Chúa thật vĩ đại và lạ lùng. Lạy Chúa là vua hằng có đời đời, đường lối của Chúa thật công minh, chính trực. Lạy Chúa, ai lại không kính sợ Chúa và không ngợi khen danh Chúa? Vì chỉ có mình Chúa là Ðấng nhân lành: mọi dân tộc sẽ đến thờ lạy trước mặt Chúa, bởi vì sự xét xử của Chúa đã tỏ bày minh bạch”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 97, 1. 2-3ab. 7-8. 9","response":"Ðáp: Lạy Chúa là Thiên Chúa toàn năng, các công trình của Chúa thật là vĩ đại và lạ lùng (Kh 15, 3b).","verses":["Xướng: Hãy ca mừng Chúa một bài ca mới, vì Người đã làm nên những điều huyền diệu. Tay hữu Người đã tạo cho Người cuộc chiến thắng, cùng với cánh tay thánh thiện của Người.","Xướng: Chúa đã công bố ơn cứu độ của Người, trước mặt chư dân, Người tỏ rõ đức công minh, Người nhớ lại lòng nhân hậu và trung thành, để sủng ái nhà Israel.","Xướng: Biển khơi và muôn vật trong đó hãy rống tiếng lên, cả địa cầu và những dân cư ngụ ở trong cũng thế. Các sông ngòi hãy vỗ tay reo, đồng thời các núi non hãy hân hoan nhảy nhót.","Xướng: Trước thiên nhan Chúa vì Người ngự tới cai quản địa cầu. Người cai quản địa cầu với đức công minh và cai quản chư dân trong đường chính trực."]},"alleluia":{"verse":"Mt 24, 41a và 44","content":"alleluia! – Các con hãy tỉnh thức và sẵn sàng, vì lúc các con không ngờ, Con Người sẽ đến. – Alleluia."},"gospel":{"excerpt":"Lc 21, 12-19","info":"“Các con sẽ bị mọi người ghét bỏ vì danh Thầy, nhưng dù một sợi tóc trên đầu các con cũng sẽ chẳng hư mất”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Người ta sẽ tra tay bắt bớ, ức hiếp và nộp các con đến các hội đường và ngục tù, điệu các con đến trước mặt vua chúa quan quyền vì danh Thầy: các con sẽ có dịp làm chứng. Vậy các con hãy ghi nhớ điều này trong lòng là chớ lo trước các con sẽ phải thưa lại thể nào. Vì chính Thầy sẽ ban cho các con miệng lưỡi và sự khôn ngoan, mọi kẻ thù nghịch các con không thể chống lại và bắt bẻ các con.\r“Cha mẹ, anh em, bà con, bạn hữu sẽ nộp các con, và có kẻ trong các con sẽ bị giết chết. Các con sẽ bị mọi người ghét bỏ vì danh Thầy. Nhưng dù một sợi tóc trên đầu các con cũng sẽ chẳng hư mất. Các con cứ bền đỗ, các con cũng sẽ giữ được linh hồn các con”.","end":"Ðó là lời Chúa"}},
+        "5344": {"firstReading":{"excerpt":"(Năm II) Kh 18, 1-2, 21-23; 19, 1-3. 9a","info":"“Thành Ba-by-lon vĩ đại đã sụp đổ rồi”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an đã nhìn thấy một thiên thần từ trời xuống, có quyền năng cao cả, và đất rực sáng lên bởi vinh quang của Người. Người dõng dạc kêu lên rằng: “Thành Ba-by-lon vĩ đại đã sụp đổ rồi, đã sụp đổ rồi: nó đã trở thành nơi ma quỷ ở, hang mọi thần ô uế ẩn trú, và nơi mọi thứ chim dơ bẩn gớm ghiếc làm tổ”.\rRồi có một thiên thần dũng lực nhắc bổng hòn đá như cối xay lớn, và quăng xuống biển mà rằng: “Thành Ba-by-lon sẽ bị quăng xuống dữ tợn như vậy, và không còn tìm thấy nó nữa”. Tiếng người gảy đàn và kẻ hát ca, tiếng kẻ thổi sáo thổi kèn sẽ không còn nghe thấy nơi ngươi nữa. Những người thợ bá nghệ không còn tìm thấy nơi ngươi nữa; và tiếng cối xay cũng chẳng còn nghe thấy nơi ngươi nữa. Ðèn sáng không còn chiếu sáng nơi ngươi nữa. Tiếng tân lang tân nương không còn nghe thấy nơi ngươi nữa, vì những tay buôn của ngươi là bọn kỳ hào trên hoàn vũ, và bởi phù phép ngươi, mọi dân tộc phải lầm lạc”.\rSau đó, tôi nghe như có tiếng nhiều đoàn người trên trời tung hô rằng: “Alleluia! Ơn Cứu độ, vinh quang và quyền năng đều thuộc về Thiên Chúa chúng ta: vì sự xét xử của Người thật chính trực và công minh, Người luận phạt gái điếm khét tiếng đã từng làm cho địa cầu ra hư nát bởi trò dâm dật của nó; Người đã báo oán máu các tôi tớ Người do tay nó đã đổ ra. Họ lại cất tiếng rằng: “Alleluia! Khói nó bốc lên cho tới muôn đời”.\rVà thiên thần bảo tôi: “Hãy viết rằng: Phúc cho những ai được mời đến dự tiệc cưới Con Chiên”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 99, 2. 3. 4. 5","response":"Ðáp: Phúc cho những ai được mời đến dự tiệc cưới Con Chiên (Kh 19, 9a).","verses":["Xướng: Hãy phụng sự Thiên Chúa với niềm vui vẻ! Hãy vào trước thiên nhan với lòng hân hoan khoái trá. – Ðáp.","Xướng: Hãy biết rằng Chúa là Thiên Chúa, chính Người đã tạo tác thân ta, và ta thuộc quyền sở hữu của Người, ta là dân tộc, là đoàn chiên Chúa chăn nuôi.","Xướng: Hãy vào trụ quan nhà Người với lời khen ngợi, vào hành lang với khúc ca vui, hãy tán dương, hãy chúc tụng danh Người. – Ðáp.","Xướng: Vì Thiên Chúa, Người thiện hảo, lòng từ bi Người tồn tại muôn đời, và lòng trung tín Người còn tới muôn thế hệ. – Ðáp"]},"alleluia":{"verse":"Lc 21, 28","content":"alleluia! – Các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến. – Alleluia."},"gospel":{"excerpt":"Lc 21, 20-28","info":"“Giê-ru-sa-lem sẽ bị các dân ngoại chà đạp, cho đến thời kỳ dành cho các dân ngoại chấm dứt”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Khi các con thấy Giê-ru-sa-lem bị các đạo binh bao vây, các con hãy biết rằng đã gần đến lúc thành ấy bị tàn phá. Bấy giờ những ai ở trong đất Giu-đa, hãy chạy trốn lên núi, những ai ở trong thành, hãy rời xa, và những ai ở vùng quê, chớ có vào thành; vì những ngày ấy là những ngày báo oán, để ứng nghiệm mọi lời đã ghi chép.\r“Khốn cho những đàn bà đang mang thai và nuôi con thơ trong những ngày ấy: vì chưng sẽ có sự khốn cực cả thể trong xứ và cơn thịnh nộ trút xuống dân này. Chúng sẽ ngã gục dưới lưỡi gươm, sẽ phải bắt đi làm tôi trong các dân, và Giê-ru-sa-lem sẽ bị các dân ngoại chà đạp, cho đến thời kỳ dành cho dân ngoại chấm dứt.\r“Sẽ có những điềm lạ trên mặt trời, mặt trăng và các ngôi sao; dưới đất, các dân tộc buồn sầu lo lắng, vì biển gầm sóng vỗ. Người ta sợ hãi kinh hồn, chờ đợi những gì sẽ xảy đến trong vũ trụ, vì các tầng trời sẽ rung chuyển. Lúc đó, người ta sẽ thấy trên đám mây, Con Người hiện đến đầy quyền năng và uy nghi cao cả. Khi những điều đó bắt đầu xảy đến, các con hãy đứng dậy và ngẩng đầu lên, vì giờ cứu rỗi các con đã gần đến”.","end":"Ðó là lời Chúa"}},
+        "5345": {"firstReading":{"excerpt":"(Năm II) Kh 20, 1-4. 11 – 21, 2","info":"“Những người đã chết phải chịu phán xét theo các việc họ đã làm. Tôi đã thấy Giê-ru-sa-lem mới từ trời xuống”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Tôi là Gio-an đã thấy một thiên thần từ trời xuống, tay cầm chìa khoá vực thẳm và một dây xiềng rất lớn. Người bắt lấy con rồng, là con rắn thuở xưa, tức là Ma Quỷ và là Sa-tan, rồi trói nó lại một ngàn năm, ném nó xuống vực thẳm, khoá cửa lại, và đóng ấn trên vực thẳm, để nó không còn lừa dối các dân tộc nữa, cho đến khi nào chẵn một ngàn năm, sau đó thả nó ra ít lâu.\rTôi lại thấy có mấy ngai toà, và những vị ngồi trên toà đó cũng được quyền xét xử. Tôi thấy linh hồn của những kẻ đã bị trảm quyết vì đã làm chứng về Ðức Giê-su và vì lời Thiên Chúa, họ là những người không thờ lạy Mãnh thú và hình tượng của nó, không chịu để thích chữ trên trán và trên tay họ. Họ được sống và hiển trị với Ðức Ki-tô một ngàn năm.\rTôi lại thấy một toà lớn trắng tinh và vị đang ngự trên toà ấy, trời đất lẩn trốn khỏi tôn nhan Người, và không còn tìm thấy chỗ nào dành cho chúng nữa. Tôi cũng thấy những kẻ đã chết, lớn cũng như bé, đang đứng trước toà, các quyển sách được mở ra, và một quyển Sách nữa cũng đã mở sẵn, tức là Sách sự sống, những kẻ đã chết phải chịu phán xét theo như các điều ghi chép trong sách, tuỳ các việc họ đã làm. Biển cả liền để cho những người chết ở trong ấy được đi ra; tử thần và địa ngục cũng để cho những kẻ chết ở trong ấy được đi ra: mỗi người phải chịu phán xét theo các việc họ đã làm. Ðịa ngục và tử thần đều bị ném xuống hồ lửa: đó là cái chết thứ hai. Kẻ nào không thấy ghi tên mình trong Sách sự sống, đều bị ném xuống hồ lửa.\rTôi lại thấy trời mới đất mới. Vì trời cũ đất cũ đã qua đi, và biển cũng không còn nữa.\rVà tôi là Gioan đã thấy thành thánh Giê-ru-sa-lem mới, tự trời xuống, từ nơi Thiên Chúa, tề chỉnh như tân nương được trang điểm cho tân lang của mình.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 83, 3. 4. 5-6a và 8a","response":"Ðáp: Ðây là nhà tạm của Thiên Chúa ở với loài người (Kh 21, 3b).","verses":["Xướng: Linh hồn tôi khát khao và mòn mỏi, mong vào hành lang nhà Thiên Chúa. Tâm thần và thể xác tôi hoan hỉ, tìm đến cùng Thiên Chúa trường sinh.","Xướng: Ðến như chim sẻ còn kiếm được nhà, và chim nhạn tìm ra tổ ấm để làm nơi ấp ủ con mình, cạnh bàn thờ Chúa, ôi Chúa là Thiên Chúa thiên binh, ôi Ðại Vương và Thiên Chúa của con.","Xướng: Ôi Thiên Chúa, phúc đức ai ngụ nơi nhà Chúa: họ sẽ khen ngợi Chúa tới muôn đời. Phúc thay người được Chúa con nâng đỡ. Họ tiến lên ngày càng thêm hăng hái."]},"alleluia":{"verse":"Kh 2, 10c","content":"alleluia! – Chúa phán: “Ngươi hãy giữ lòng trung thành cho đến chết, thì Ta sẽ ban cho ngươi triều thiên sự sống”. – Alleluia. (Hoặc đọc: ) Alleluia, alleluia. Anh em hãy đứng thẳng và ngẩng đầu lên, vì anh em sắp được cứu chuộc. – -Alleluia."},"gospel":{"excerpt":"Lc 21, 29-33","info":"“Khi các con xem thấy những sự đó xảy ra, thì hãy biết rằng nước Thiên Chúa đã gần đến”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ thí dụ này rằng: “Các con hãy xem cây vả và mọi thứ cây cối. Khi chúng đâm chồi nảy lộc, thì các con biết rằng mùa hè đã gần đến. Cũng thế, khi các con xem thấy những sự đó xảy ra, thì hãy biết rằng nước Thiên Chúa đã gần đến. Thầy bảo thật các con, thế hệ này sẽ chẳng qua đi cho đến khi mọi sự ấy xảy đến. Trời đất sẽ qua đi; nhưng lời Thầy nói sẽ chẳng qua đâu”.","end":"Ðó là lời Chúa"}},
+        "5346": {"firstReading":{"excerpt":"(Năm II) Kh 22, 1-7","info":"“Sẽ không còn đêm tối nữa, Thiên Chúa sẽ soi sáng cho họ”.","title":"Trích sách Khải Huyền của Thánh Gio-an Tông đồ.","content":"Thiên thần Chúa chỉ cho tôi là Gio-an, thấy sông nước hằng sống, sáng ngời như thuỷ tinh, từ toà Thiên Chúa và Con Chiên chảy ra. Ở giữa công trường thành phố và hai bên sông, có cây sự sống sinh hoa kết quả mười hai mùa, mỗi tháng một mùa, và lá cây thì dùng cứu chữa các dân ngoại lành đã. Sẽ không còn lời nguyền rủa nào nữa. Toà Thiên Chúa và Con Chiên sẽ dựng lên trong thành ấy, các tôi tớ Người sẽ phụng thờ Người. Họ sẽ chiêm ngắm tôn nhan Người, và khắc tên Người trên trán họ. Cũng không còn đêm tối nữa: họ không cần đến ánh sáng đèn đuốc hay ánh sáng mặt trời nữa: vì Chúa là Thiên Chúa sẽ soi sáng cho họ, và họ sẽ thống trị muôn đời.\rThiên thần lại bảo tôi rằng: “Những lời này rất trung trực và chân thật. Chúa là Thiên Chúa thần trí các tiên tri, đã sai thiên thần Người đến chỉ cho các tôi tớ Người biết những sự sắp phải xảy đến. Và đây tôi vội vã tiến đến. Phúc cho kẻ vâng giữ các lời ghi trong sách này”.","end":"Ðó là lời Chúa"},"psalms":{"excerpt":"Tv 94, 1-2. 3-5. 6-7","response":"Ðáp: Ma-ra-na-tha! Lạy Chúa Giê-su, xin hãy đến! (1 Cr 16, 22b và Kh 21, 20b)","verses":["Xướng: Hãy tới, chúng ta hãy reo mừng Chúa, hãy hoan hô Ðá Tảng cứu độ của Ta! Hãy ra trước thiên nhan với lời ca ngợi, chúng ta hãy xướng ca để hoan hô Người.","Xướng: Vì Chúa là Thiên Chúa cao sang, là Ðại Ðế siêu việt chư chúa tể. Ở nơi tay Người những vực sâu của địa cầu, là của Người những chỏm núi cao. Bể khơi là của Người: vì chính Người tạo tác, và đất khô do tay Người đúc nắn ra.","Xướng: Hãy tiến lên, cúc cung bái và sụp lại, hãy quỳ gối trước nhan Chúa, Ðấng tạo thành ta. Vì chính Người là Thiên Chúa của ta, và ta là dân Người chăn dẫn, là đoàn chiên thuộc ở tay Người."]},"alleluia":{"verse":"Lc 21, 36","content":"alleluia! – Các con hãy tỉnh thức và cầu nguyện luôn, để có thể xứng đáng đứng vững trước mặt Con Người. – Alleluia."},"gospel":{"excerpt":"Lc 21, 34-36","info":"“Các con hãy tỉnh thức, để có thể thoát khỏi những việc sắp xảy đến”.","title":"Tin Mừng Chúa Giê-su Ki-tô theo Thánh Lu-ca.","content":"Khi ấy, Chúa Giê-su phán cùng các môn đệ rằng: “Các con hãy giữ mình, kẻo lòng các con ra nặng nề bởi chè chén say sưa và lo lắng việc đời, mà ngày đó thình lình đến với các con như chiếc lưới chụp xuống mọi người sống trên mặt đất. Vậy các con hãy tỉnh thức và cầu nguyện luôn, để có thể thoát khỏi những việc sắp xảy đến và đứng vững trước mặt Con Người!”","end":"Ðó là lời Chúa"}}
+    }
+});
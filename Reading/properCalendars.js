@@ -0,0 +1,36 @@
+// ============================================================================
+// LỊCH RIÊNG GIÁO PHẬN / GIÁO XỨ
+// Mỗi mục là một lớp (overlay) đặt lên lịch chung SAINTS_DATA, bật/tắt trong giao diện
+// hoặc qua LiturgicalEngine.setCalendarOverlays([...]).
+//
+// Bậc lễ theo Bảng Các Ngày Phụng Vụ:
+//   - Bổn mạng chính giáo phận: Lễ Trọng trong giáo phận        → type: 'S', kind: 'patron'
+//   - Tước hiệu nhà thờ chính tòa: Lễ Kính trong giáo phận       → type: 'F', kind: 'titular'
+//   - Kỷ niệm cung hiến nhà thờ chính tòa: Lễ Kính trong giáo phận → type: 'F', kind: 'dedication'
+//   - Tước hiệu / kỷ niệm cung hiến nhà thờ giáo xứ: Lễ Trọng tại giáo xứ → type: 'S'
+//   - Lễ nhớ riêng: type: 'M' (buộc) hoặc 'O' (tùy chọn), kind: 'memorial'
+// name, titles, categories, color, note: như SAINTS_DATA
+// (dòng kiểu cũ { feast, chasuble: 'Tr' | 'Đ' | 'T' | 'X' | 'H' } vẫn được nhận)
+// readings: (tùy chọn) mã bài đọc riêng, vd. mã bài đọc lễ cung hiến
+// ============================================================================
+const PROPER_CALENDARS = [
+    {
+        id: 'dalat',
+        name: 'Giáo phận Đà Lạt',
+        type: 'diocese',
+        celebrations: [
+            { date: '06/12', type: 'F', kind: 'titular', name: 'THÁNH NICÔLA', titles: ['GIÁM MỤC'], categories: ['bishop'], color: 'white', note: 'Tước hiệu Nhà thờ Chính tòa Đà Lạt',
+              readings: '70612' } // bài đọc chung các mục tử (SaintsBible.js)
+        ]
+    }
+    // Giáo xứ khai báo parent để kế thừa lịch giáo phận, ví dụ:
+    // {
+    //     id: 'dalat-giao-xu-abc',
+    //     name: 'Giáo xứ ABC',
+    //     type: 'parish',
+    //     parent: 'dalat',
+    //     celebrations: [
+    //         { date: 'DD/MM', type: 'S', kind: 'dedication', name: 'KỶ NIỆM CUNG HIẾN THÁNH ĐƯỜNG GIÁO XỨ ABC', categories: ['dedication'], color: 'white' }
+    //     ]
+    // }
+];
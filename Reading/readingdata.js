@@ -5513,5 +5513,12 @@ const READINGS_DATA = [
     "reading1": "Is 61, 9-11",
     "psalm": "Tv 44, 10bc. 11. 12ab. 16",
     "gospel": "Lc 2, 41-51"
+  },
+  {
+    "code": 8411,
+    "year": "0",
+    "reading1": "St 3, 9-15. 20",
+    "psalm": "Tv 86, 1-2. 3 và 5. 6-7",
+    "gospel": "Ga 19, 25-27"
   }
 ];
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Tách toàn văn bài đọc thành các phần nhỏ để index.html nạp khi cần
+ *
+ *   node js/build-reading-chunks.js           Ghi Reading/chunks/ (chạy lại sau khi sửa dữ liệu bài đọc)
+ *   node js/build-reading-chunks.js --check   Chỉ kiểm tra Reading/chunks/ có khớp với dữ liệu gốc
+ *
+ * Dữ liệu gốc vẫn là Reading/Sunday.js, DailySeason.js, readings_year_1/2.js, SaintsBible.js,
+ * Optionsaint.js (Node, test.html, lectionary.html nạp trực tiếp). Script tạo:
+ *   - Reading/chunks/index.js: LECTIONARY_CHUNK_INDEX - trích dẫn + phần chứa toàn văn của từng bộ bài đọc
+ *     (đủ để vẽ lịch, header, tooltip, export);
+ *   - Reading/chunks/<nguồn>-<mùa|tháng>.js: toàn văn, gọi registerLectionaryChunk() của js/engine.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const CHUNK_DIR = 'Reading/chunks';
+
+// Nguồn toàn văn (id giống LECTIONARY_SOURCES trong js/engine.js)
+const TEXT_SOURCES = [
+    { id: 'SUNDAY', slug: 'sunday', file: 'Reading/Sunday.js', global: 'READINGS_SUNDAY' },
+    { id: 'SEASONAL', slug: 'seasonal', file: 'Reading/DailySeason.js', global: 'READINGS_SEASONAL' },
+    { id: 'ORDINARY_Y1', slug: 'year1', file: 'Reading/readings_year_1.js', global: 'READINGS_ORDINARY_Y1' },
+    { id: 'ORDINARY_Y2', slug: 'year2', file: 'Reading/readings_year_2.js', global: 'READINGS_ORDINARY_Y2' },
+    { id: 'SPECIAL', slug: 'special', file: 'Reading/SaintsBible.js', global: 'READINGS_SPECIAL' },
+    { id: 'OPTION_SAINT', slug: 'option', file: 'Reading/Optionsaint.js', global: 'OptionsaintReadings' }
+];
+
+const SUNDAY_CYCLES = ['A', 'B', 'C'];
+const HEADER = '// Tạo tự động bởi js/build-reading-chunks.js - không sửa tay, chạy lại script sau khi sửa dữ liệu bài đọc';
+
+// Phần chứa một khóa: mùa theo mã 4 số (Mùa Thường Niên: 6 tuần một phần), tháng theo mã thánh 7DDMM/8DDMM
+function chunkGroup(key) {
+    const code = key.replace(/[A-Z]+$/, ''); // 22512D → 22512, 70808AU → 70808
+    if (/^[78]\d{4}$/.test(code)) {
+        const month = Number(code.slice(3, 5));
+        return month >= 1 && month <= 12 ? `saints-${code.slice(3, 5)}` : 'feasts';
+    }
+    if (/^5\d{3}$/.test(code)) {
+        const week = Number(code.slice(1, 3));
+        return week >= 1 && week <= 34 ? `ordinary-${Math.ceil(week / 6)}` : 'feasts';
+    }
+    if (/^8\d{3}$/.test(code)) return 'feasts';
+    switch (code[0]) {
+        case '1': return 'advent';
+        case '2':
+        case '6': return 'christmas';
+        case '3': return 'lent';
+        case '4': return 'easter';
+        default: return 'other';
+    }
+}
+
+// Bản rút gọn của một bộ bài đọc: trích dẫn (excerpt, verse) và cờ text = có toàn văn
+function stubReadingSet(set, chunk) {
+    const stub = { chunk };
+    Object.keys(set).forEach(key => {
+        const part = set[key];
+        if (!part || typeof part !== 'object') {
+            stub[key] = part;
+            return;
+        }
+        const short = {};
+        if (part.excerpt) short.excerpt = part.excerpt;
+        if (part.verse) short.verse = part.verse;
+        if (part.content || (Array.isArray(part.verses) && part.verses.length > 0)) short.text = true;
+        stub[key] = short;
+    });
+    return stub;
+}
+
+function stubEntry(value, chunk) {
+    const cycles = SUNDAY_CYCLES.filter(c => value[c]);
+    if (cycles.length > 0 && !value.firstReading && !value.gospel) {
+        return Object.fromEntries(cycles.map(c => [c, stubReadingSet(value[c], chunk)]));
+    }
+    return stubReadingSet(value, chunk);
+}
+
+function loadSources(rootDir) {
+    const sandbox = {};
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+    TEXT_SOURCES.forEach(src => {
+        const source = fs.readFileSync(path.join(rootDir, src.file), 'utf8').replace(/^\uFEFF/, '');
+        vm.runInContext(source, context, { filename: src.file });
+    });
+    return Object.fromEntries(TEXT_SOURCES.map(src => [src.id, vm.runInContext(`typeof ${src.global} !== 'undefined' ? ${src.global} : null`, context)]));
+}
+
+// Một khóa mỗi dòng để diff dễ đọc
+function formatStore(store, indent) {
+    const lines = Object.keys(store).map(key => `${indent}${JSON.stringify(key)}: ${JSON.stringify(store[key])}`);
+    return `{\n${lines.join(',\n')}\n${indent.slice(4)}}`;
+}
+
+/**
+ * Tạo nội dung các file trong Reading/chunks/
+ * @returns {Map<string, string>} tên file → nội dung
+ */
+function buildChunks(rootDir = ROOT_DIR) {
+    const stores = loadSources(rootDir);
+    const chunks = new Map(); // id → { source, store }
+    const index = {};
+
+    TEXT_SOURCES.forEach(src => {
+        const store = stores[src.id];
+        if (!store) throw new Error(`Không đọc được ${src.global} trong ${src.file}`);
+        index[src.id] = {};
+        Object.keys(store).forEach(key => {
+            const value = store[key];
+            if (!value || typeof value !== 'object') return;
+            const id = `${src.slug}-${chunkGroup(key)}`;
+            if (!chunks.has(id)) chunks.set(id, { source: src.id, store: {} });
+            chunks.get(id).store[key] = value;
+            index[src.id][key] = stubEntry(value, id);
+        });
+    });
+
+    const files = new Map();
+    const chunkMeta = {};
+    [...chunks.keys()].sort().forEach(id => {
+        const { source, store } = chunks.get(id);
+        const content = `${HEADER}\nregisterLectionaryChunk(${JSON.stringify(id)}, {\n    ${JSON.stringify(source)}: ${formatStore(store, '        ')}\n});\n`;
+        const file = `${id}.js`;
+        files.set(file, content);
+        chunkMeta[id] = {
+            file,
+            source,
+            hash: crypto.createHash('sha1').update(content).digest('hex').slice(0, 10),
+            bytes: Buffer.byteLength(content)
+        };
+    });
+
+    const sources = Object.keys(index).map(id => `        ${JSON.stringify(id)}: ${formatStore(index[id], '            ')}`);
+    const chunkLines = Object.keys(chunkMeta).map(id => `        ${JSON.stringify(id)}: ${JSON.stringify(chunkMeta[id])}`);
+    files.set('index.js', `${HEADER}
+// Trích dẫn từng bộ bài đọc (excerpt, verse; text = có toàn văn) và phần (chunk) chứa toàn văn
+const LECTIONARY_CHUNK_INDEX = {
+    "chunks": {
+${chunkLines.join(',\n')}
+    },
+    "sources": {
+${sources.join(',\n')}
+    }
+};
+`);
+    return files;
+}
+
+// Tên file khác nhau giữa nội dung tạo ra và thư mục (thiếu, thừa, khác nội dung)
+function diffChunks(files, dir) {
+    const existing = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.js')) : [];
+    const changed = [...files.keys()].filter(f => !existing.includes(f) || fs.readFileSync(path.join(dir, f), 'utf8') !== files.get(f));
+    const stale = existing.filter(f => !files.has(f));
+    return { changed, stale };
+}
+
+function main(argv) {
+    const check = argv.includes('--check');
+    const dir = path.join(ROOT_DIR, CHUNK_DIR);
+    try {
+        const files = buildChunks();
+        const { changed, stale } = diffChunks(files, dir);
+        if (check) {
+            if (changed.length === 0 && stale.length === 0) {
+                console.log(`${CHUNK_DIR}: ${files.size} file khớp với dữ liệu gốc`);
+                return 0;
+            }
+            console.error(`${CHUNK_DIR} chưa cập nhật (chạy: node js/build-reading-chunks.js)`);
+            changed.forEach(f => console.error(`  khác: ${f}`));
+            stale.forEach(f => console.error(`  thừa: ${f}`));
+            return 1;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        changed.forEach(f => fs.writeFileSync(path.join(dir, f), files.get(f), 'utf8'));
+        stale.forEach(f => fs.unlinkSync(path.join(dir, f)));
+        const total = [...files.values()].reduce((sum, content) => sum + Buffer.byteLength(content), 0);
+        console.log(`${CHUNK_DIR}: ${files.size} file (${Math.round(total / 1024)} KB), ghi ${changed.length}, xoá ${stale.length}`);
+        return 0;
+    } catch (e) {
+        console.error(`Lỗi: ${e.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { buildChunks, diffChunks, chunkGroup, TEXT_SOURCES, CHUNK_DIR };
@@ -0,0 +1,93 @@
+/**
+ * Node loader cho Liturgical Engine
+ * Các file dữ liệu Reading/*.js là script trình duyệt (khai báo `const` toàn cục),
+ * nên được nạp chung vào một vm context cùng với js/engine.js.
+ *
+ * Dùng:
+ *   const { loadEngine } = require('./js/engine-node');
+ *   const engine = loadEngine();
+ *   engine.getDay('2026-04-05');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Thứ tự nạp giống index.html
+const DATA_FILES = [
+    'Reading/readingdata.js',
+    'Reading/readings_year_1.js',
+    'Reading/readings_year_2.js',
+    'Reading/Sunday.js',
+    'Reading/DailySeason.js',
+    'Reading/Saints.js',
+    'Reading/SaintsBible.js',
+    'Reading/Optionsaint.js',
+    'Reading/eucharisticAdoration.js',
+    'Reading/properCalendars.js',
+    'Reading/meditationLinks.js'
+];
+
+// Toàn văn bài đọc: nạp đủ (mặc định) hoặc thay bằng Reading/chunks/index.js như index.html (lazyReadings)
+const TEXT_FILES = [
+    'Reading/readings_year_1.js',
+    'Reading/readings_year_2.js',
+    'Reading/Sunday.js',
+    'Reading/DailySeason.js',
+    'Reading/SaintsBible.js',
+    'Reading/Optionsaint.js'
+];
+const CHUNK_DIR = 'Reading/chunks';
+
+const ENGINE_FILE = 'js/engine.js';
+
+let cachedEngine = null;
+
+function runFile(context, rootDir, relPath) {
+    const fullPath = path.join(rootDir, relPath);
+    // Bỏ BOM đầu file (eucharisticAdoration.js)
+    const source = fs.readFileSync(fullPath, 'utf8').replace(/^\uFEFF/, '');
+    vm.runInContext(source, context, { filename: fullPath });
+}
+
+/**
+ * Nạp dữ liệu + engine vào một vm context riêng.
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - thư mục gốc chứa Reading/ và js/
+ * @param {string[]} [options.extraFiles] - file script nạp thêm sau dữ liệu (vd. lịch riêng)
+ * @param {boolean} [options.fresh=false] - bỏ qua engine đã nạp trước đó
+ * @param {boolean} [options.lazyReadings=false] - như index.html: chỉ nạp chỉ mục trích dẫn,
+ *   toàn văn nạp theo phần từ Reading/chunks/ khi cần (getFullReadings, loadLectionaryTexts)
+ * @returns {Object} LiturgicalEngine
+ */
+function loadEngine(options = {}) {
+    const { rootDir = ROOT_DIR, extraFiles = [], fresh = false, lazyReadings = false } = options;
+    const cacheable = rootDir === ROOT_DIR && extraFiles.length === 0 && !lazyReadings;
+    if (cachedEngine && !fresh && cacheable) {
+        return cachedEngine;
+    }
+
+    const sandbox = { console };
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    const context = vm.createContext(sandbox);
+
+    const dataFiles = lazyReadings
+        ? DATA_FILES.filter(file => !TEXT_FILES.includes(file)).concat(`${CHUNK_DIR}/index.js`)
+        : DATA_FILES;
+    dataFiles.concat(extraFiles).forEach(file => runFile(context, rootDir, file));
+    runFile(context, rootDir, ENGINE_FILE);
+
+    const engine = sandbox.LiturgicalEngine;
+    if (lazyReadings) {
+        engine.setLectionaryChunkLoader(chunk => runFile(context, rootDir, `${CHUNK_DIR}/${chunk.file}`));
+    }
+    if (cacheable) {
+        cachedEngine = engine;
+    }
+    return engine;
+}
+
+module.exports = { loadEngine, DATA_FILES, TEXT_FILES, ROOT_DIR };
@@ -0,0 +1,6141 @@
+/**
+ * Liturgical Engine - Lịch Phụng Vụ Công Giáo
+ * Lõi tính toán phụng vụ KHÔNG phụ thuộc DOM (document/window/localStorage).
+ * Dùng được trong trình duyệt (<script>), Web Worker (importScripts) và Node (js/engine-node.js).
+ * Web Worker: đặt `self.window = self` trước importScripts (vài file dữ liệu gán vào window.*).
+ * API chính: LiturgicalEngine.getDay(date, options) - xem phần PUBLIC API cuối file.
+ *
+ * Yêu cầu: các file dữ liệu Reading/*.js phải được nạp TRƯỚC file này
+ * (READINGS_DATA, READINGS_SUNDAY, READINGS_SEASONAL, READINGS_ORDINARY_Y1/Y2,
+ *  SAINTS_DATA, READINGS_SPECIAL, OptionsaintReadings).
+ */
+
+// Global object của môi trường hiện tại (window / self / global)
+const ENGINE_ROOT = typeof globalThis !== 'undefined' ? globalThis
+    : (typeof self !== 'undefined' ? self : (typeof window !== 'undefined' ? window : this));
+
+// localStorage chỉ có trong trình duyệt (không có trong Node / Web Worker)
+const HAS_LOCAL_STORAGE = (function () {
+    try {
+        return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (e) {
+        return false;
+    }
+})();
+
+// --- 1. DATA SOURCES ---
+
+// ============================================================================
+// CACHE SYSTEM - Lưu trữ dữ liệu để tăng tốc độ
+// ============================================================================
+
+const CACHE = {
+    // Memory cache cho liturgical data
+    liturgicalData: new Map(),
+    // Memory cache cho day info
+    dayInfo: new Map(),
+    // Memory cache cho lunar dates
+    lunarDates: new Map(),
+    // Memory cache cho readings
+    readings: new Map(),
+    // LocalStorage key prefix
+    STORAGE_PREFIX: 'liturgical_cache_',
+    // Cache version để invalidate khi có update
+    VERSION: '1.0.0',
+
+    // Lấy từ memory cache
+    get(type, key) {
+        const cache = this[type];
+        if (cache instanceof Map) {
+            return cache.get(key);
+        }
+        return null;
+    },
+
+    // Lưu vào memory cache
+    set(type, key, value) {
+        const cache = this[type];
+        if (cache instanceof Map) {
+            // Giới hạn cache size để tránh memory leak (giữ tối đa 500)
+            if (!cache.has(key) && cache.size >= 500) {
+                const firstKey = cache.keys().next().value;
+                cache.delete(firstKey);
+            }
+            cache.set(key, value);
+        }
+    },
+
+    // Lấy từ localStorage
+    getFromStorage(key) {
+        if (!HAS_LOCAL_STORAGE) return null;
+        try {
+            const stored = localStorage.getItem(this.STORAGE_PREFIX + key);
+            if (stored) {
+                const parsed = JSON.parse(stored);
+                if (parsed.version === this.VERSION && parsed.expires > Date.now()) {
+                    return parsed.data;
+                }
+                // Expired hoặc version cũ - xóa
+                localStorage.removeItem(this.STORAGE_PREFIX + key);
+            }
+        } catch (e) {
+            console.warn('Cache read error:', e);
+        }
+        return null;
+    },
+
+    // Lưu vào localStorage (với expiry)
+    setToStorage(key, value, expiryMs = 24 * 60 * 60 * 1000) { // Default 24 hours
+        if (!HAS_LOCAL_STORAGE) return;
+        try {
+            const data = {
+                version: this.VERSION,
+                data: value,
+                expires: Date.now() + expiryMs,
+                created: Date.now()
+            };
+            localStorage.setItem(this.STORAGE_PREFIX + key, JSON.stringify(data));
+        } catch (e) {
+            console.warn('Cache write error:', e);
+            // Nếu localStorage đầy, xóa cache cũ
+            this.clearOldStorage();
+        }
+    },
+
+    // Xóa cache cũ trong localStorage
+    clearOldStorage() {
+        if (!HAS_LOCAL_STORAGE) return;
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.STORAGE_PREFIX)) {
+                    keys.push(key);
+                }
+            }
+            // Xóa 50% cache cũ nhất
+            keys.slice(0, Math.floor(keys.length / 2)).forEach(key => {
+                localStorage.removeItem(key);
+            });
+        } catch (e) {
+            console.warn('Cache clear error:', e);
+        }
+    },
+
+    // Xóa toàn bộ cache
+    clearAll() {
+        this.liturgicalData.clear();
+        this.dayInfo.clear();
+        this.lunarDates.clear();
+        this.readings.clear();
+
+        // Clear localStorage
+        if (!HAS_LOCAL_STORAGE) return;
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.STORAGE_PREFIX)) {
+                    keys.push(key);
+                }
+            }
+            keys.forEach(key => localStorage.removeItem(key));
+            console.log('✅ Cache đã được xóa');
+        } catch (e) {
+            console.warn('Cache clear error:', e);
+        }
+    },
+
+    // Thống kê cache
+    getStats() {
+        let storageSize = 0;
+        let storageCount = 0;
+        try {
+            for (let i = 0; HAS_LOCAL_STORAGE && i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.STORAGE_PREFIX)) {
+                    storageCount++;
+                    storageSize += localStorage.getItem(key).length * 2; // UTF-16
+                }
+            }
+        } catch (e) { }
+
+        return {
+            memory: {
+                liturgicalData: this.liturgicalData.size,
+                dayInfo: this.dayInfo.size,
+                lunarDates: this.lunarDates.size,
+                readings: this.readings.size
+            },
+            storage: {
+                count: storageCount,
+                sizeKB: Math.round(storageSize / 1024)
+            }
+        };
+    }
+};
+
+// Expose cache management to global scope
+ENGINE_ROOT.LiturgicalCache = CACHE;
+
+// ============================================================================
+// MÚI GIỜ LỊCH (Calendar time zone)
+// timeZone: múi giờ IANA để xác định "hôm nay" phụng vụ (null = múi giờ của thiết bị)
+// lunarTimeZone: độ lệch UTC (giờ) dùng cho âm lịch, tiết khí, tuần trăng (7 = Việt Nam)
+// Các ngày trong engine là ngày dương lịch (năm/tháng/ngày), không phụ thuộc giờ:
+// chỉ "hôm nay" và phép tính thiên văn của âm lịch cần múi giờ.
+// ============================================================================
+
+const DEFAULT_CALENDAR_TIME_ZONE = Object.freeze({ timeZone: null, lunarTimeZone: 7 });
+
+let calendarTimeZone = { ...DEFAULT_CALENDAR_TIME_ZONE };
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function getCalendarTimeZone() {
+    return { ...calendarTimeZone };
+}
+
+// settings: { timeZone?, lunarTimeZone? } - chỉ đổi các khoá được truyền
+function setCalendarTimeZone(settings = {}) {
+    const next = { ...calendarTimeZone };
+    if (settings.timeZone !== undefined) {
+        if (settings.timeZone !== null && (typeof settings.timeZone !== 'string' || !isValidTimeZone(settings.timeZone))) {
+            throw new RangeError(`Múi giờ không hợp lệ: ${settings.timeZone} (dùng tên IANA, vd. 'Asia/Ho_Chi_Minh', hoặc null = theo thiết bị)`);
+        }
+        next.timeZone = settings.timeZone;
+    }
+    if (settings.lunarTimeZone !== undefined) {
+        const offset = Number(settings.lunarTimeZone);
+        if (settings.lunarTimeZone === null || !Number.isFinite(offset) || offset < -12 || offset > 14) {
+            throw new RangeError(`Múi giờ âm lịch không hợp lệ: ${settings.lunarTimeZone} (độ lệch UTC theo giờ, -12..14)`);
+        }
+        next.lunarTimeZone = offset;
+    }
+    if (next.lunarTimeZone !== calendarTimeZone.lunarTimeZone) {
+        // Ngày âm lịch đổi → Tết, Lễ Tro dời, ngày giỗ... đã cache không còn đúng
+        CACHE.lunarDates.clear();
+        CACHE.liturgicalData.clear();
+        CACHE.dayInfo.clear();
+        anniversaryYearCache.clear();
+    }
+    calendarTimeZone = next;
+    return getCalendarTimeZone();
+}
+
+// Chạy fn với múi giờ lịch khác rồi trả lại cài đặt cũ (dùng cho API nhận ?tz=)
+function withCalendarTimeZone(settings, fn) {
+    const previous = getCalendarTimeZone();
+    setCalendarTimeZone(settings || {});
+    try {
+        return fn();
+    } finally {
+        setCalendarTimeZone(previous);
+    }
+}
+
+// "Hôm nay" theo múi giờ lịch: Date 00:00 (giờ máy) mang năm/tháng/ngày của múi giờ đó
+function getCalendarToday(now = new Date()) {
+    const timeZone = calendarTimeZone.timeZone;
+    if (!timeZone) {
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone, year: 'numeric', month: 'numeric', day: 'numeric'
+    }).formatToParts(now);
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return new Date(part('year'), part('month') - 1, part('day'));
+}
+
+// ============================================================================
+// VIETNAMESE LUNAR CALENDAR (ÂM LỊCH VIỆT NAM)
+// Thuật toán chuyển đổi từ Dương lịch sang Âm lịch Việt Nam
+// ============================================================================
+
+const LUNAR_CALENDAR = (function () {
+    // Số ngày Julius của ngày 1/1/4713 TCN (Julius Day Number)
+    const PI = Math.PI;
+
+    // Tính số ngày Julius từ ngày dương lịch
+    function jdFromDate(dd, mm, yy) {
+        const a = Math.floor((14 - mm) / 12);
+        const y = yy + 4800 - a;
+        const m = mm + 12 * a - 3;
+        let jd = dd + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+        if (jd < 2299161) {
+            jd = dd + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+        }
+        return jd;
+    }
+
+    // Chuyển từ số ngày Julius sang ngày dương lịch
+    function jdToDate(jd) {
+        let a, b, c, d, e, m, day, month, year;
+        if (jd > 2299160) {
+            a = jd + 32044;
+            b = Math.floor((4 * a + 3) / 146097);
+            c = a - Math.floor((b * 146097) / 4);
+        } else {
+            b = 0;
+            c = jd + 32082;
+        }
+        d = Math.floor((4 * c + 3) / 1461);
+        e = c - Math.floor((1461 * d) / 4);
+        m = Math.floor((5 * e + 2) / 153);
+        day = e - Math.floor((153 * m + 2) / 5) + 1;
+        month = m + 3 - 12 * Math.floor(m / 10);
+        year = b * 100 + d - 4800 + Math.floor(m / 10);
+        return [day, month, year];
+    }
+
+    const SYNODIC_MONTH = 29.530588853;
+
+    // Thời điểm Sóc (New Moon) thứ k kể từ ngày 1/1/1900 - số ngày Julius (UT, có phần lẻ)
+    function getNewMoonJd(k) {
+        const T = k / 1236.85; // Time in Julian centuries from 1900 January 0.5
+        const T2 = T * T;
+        const T3 = T2 * T;
+        const dr = PI / 180;
+        let Jd1 = 2415020.75933 + 29.53058868 * k + 0.0001178 * T2 - 0.000000155 * T3;
+        Jd1 = Jd1 + 0.00033 * Math.sin((166.56 + 132.87 * T - 0.009173 * T2) * dr);
+        const M = 359.2242 + 29.10535608 * k - 0.0000333 * T2 - 0.00000347 * T3;
+        const Mpr = 306.0253 + 385.81691806 * k + 0.0107306 * T2 + 0.00001236 * T3;
+        const F = 21.2964 + 390.67050646 * k - 0.0016528 * T2 - 0.00000239 * T3;
+        let C1 = (0.1734 - 0.000393 * T) * Math.sin(M * dr) + 0.0021 * Math.sin(2 * dr * M);
+        C1 = C1 - 0.4068 * Math.sin(Mpr * dr) + 0.0161 * Math.sin(dr * 2 * Mpr);
+        C1 = C1 - 0.0004 * Math.sin(dr * 3 * Mpr);
+        C1 = C1 + 0.0104 * Math.sin(dr * 2 * F) - 0.0051 * Math.sin(dr * (M + Mpr));
+        C1 = C1 - 0.0074 * Math.sin(dr * (M - Mpr)) + 0.0004 * Math.sin(dr * (2 * F + M));
+        C1 = C1 - 0.0004 * Math.sin(dr * (2 * F - M)) - 0.0006 * Math.sin(dr * (2 * F + Mpr));
+        C1 = C1 + 0.0010 * Math.sin(dr * (2 * F - Mpr)) + 0.0005 * Math.sin(dr * (2 * Mpr + M));
+        let deltat;
+        if (T < -11) {
+            deltat = 0.001 + 0.000839 * T + 0.0002261 * T2 - 0.00000845 * T3 - 0.000000081 * T * T3;
+        } else {
+            deltat = -0.000278 + 0.000265 * T + 0.000262 * T2;
+        }
+        return Jd1 + C1 - deltat;
+    }
+
+    // Ngày (số ngày Julius theo giờ địa phương) của Sóc thứ k
+    function getNewMoonDay(k, timeZone) {
+        return Math.floor(getNewMoonJd(k) + 0.5 + timeZone / 24);
+    }
+
+    // Kinh độ mặt trời (radian, 0..2π) lúc 0h giờ địa phương của ngày Julius jdn
+    function getSunLongitudeRad(jdn, timeZone) {
+        const T = (jdn - 2451545.5 - timeZone / 24) / 36525;
+        const T2 = T * T;
+        const dr = PI / 180;
+        const M = 357.52910 + 35999.05030 * T - 0.0001559 * T2 - 0.00000048 * T * T2;
+        const L0 = 280.46645 + 36000.76983 * T + 0.0003032 * T2;
+        let DL = (1.914600 - 0.004817 * T - 0.000014 * T2) * Math.sin(dr * M);
+        DL = DL + (0.019993 - 0.000101 * T) * Math.sin(dr * 2 * M) + 0.00029 * Math.sin(dr * 3 * M);
+        let L = L0 + DL;
+        L = L * dr;
+        return L - PI * 2 * (Math.floor(L / (PI * 2)));
+    }
+
+    // Tọa độ mặt trời theo cung 30° (0-11) - dùng xác định tháng 11 và tháng nhuận
+    function getSunLongitude(jdn, timeZone) {
+        return Math.floor(getSunLongitudeRad(jdn, timeZone) / PI * 6);
+    }
+
+    // Tính ngày bắt đầu tháng âm lịch thứ k
+    function getLunarMonth11(yy, timeZone) {
+        const off = jdFromDate(31, 12, yy) - 2415021;
+        const k = Math.floor(off / 29.530588853);
+        let nm = getNewMoonDay(k, timeZone);
+        const sunLong = getSunLongitude(nm, timeZone);
+        if (sunLong >= 9) {
+            nm = getNewMoonDay(k - 1, timeZone);
+        }
+        return nm;
+    }
+
+    // Xác định tháng nhuận
+    function getLeapMonthOffset(a11, timeZone) {
+        const k = Math.floor((a11 - 2415021.076998695) / 29.530588853 + 0.5);
+        let last = 0;
+        let i = 1;
+        let arc = getSunLongitude(getNewMoonDay(k + i, timeZone), timeZone);
+        do {
+            last = arc;
+            i++;
+            arc = getSunLongitude(getNewMoonDay(k + i, timeZone), timeZone);
+        } while (arc !== last && i < 14);
+        return i - 1;
+    }
+
+    // Chuyển đổi từ Dương lịch sang Âm lịch Việt Nam (múi giờ +7)
+    function solarToLunar(dd, mm, yy, timeZone = calendarTimeZone.lunarTimeZone) {
+        const dayNumber = jdFromDate(dd, mm, yy);
+        const k = Math.floor((dayNumber - 2415021.076998695) / 29.530588853);
+        let monthStart = getNewMoonDay(k + 1, timeZone);
+        if (monthStart > dayNumber) {
+            monthStart = getNewMoonDay(k, timeZone);
+        }
+        // k ước lượng theo tháng trung bình có thể lệch một tháng (vd. 07/05/2054): lùi thêm một Sóc
+        if (monthStart > dayNumber) {
+            monthStart = getNewMoonDay(k - 1, timeZone);
+        }
+        let a11 = getLunarMonth11(yy, timeZone);
+        let b11 = a11;
+        let lunarYear;
+        if (a11 >= monthStart) {
+            lunarYear = yy;
+            a11 = getLunarMonth11(yy - 1, timeZone);
+        } else {
+            lunarYear = yy + 1;
+            b11 = getLunarMonth11(yy + 1, timeZone);
+        }
+        const lunarDay = dayNumber - monthStart + 1;
+        const diff = Math.floor((monthStart - a11) / 29);
+        let lunarLeap = 0;
+        let lunarMonth = diff + 11;
+        if (b11 - a11 > 365) {
+            const leapMonthDiff = getLeapMonthOffset(a11, timeZone);
+            if (diff >= leapMonthDiff) {
+                lunarMonth = diff + 10;
+                if (diff === leapMonthDiff) {
+                    lunarLeap = 1;
+                }
+            }
+        }
+        if (lunarMonth > 12) {
+            lunarMonth = lunarMonth - 12;
+        }
+        if (lunarMonth >= 11 && diff < 4) {
+            lunarYear -= 1;
+        }
+        return { day: lunarDay, month: lunarMonth, year: lunarYear, leap: lunarLeap };
+    }
+
+    // Chuyển đổi từ Âm lịch sang Dương lịch (múi giờ +7)
+    // Trả về { day, month, year } hoặc null nếu ngày âm không tồn tại (tháng nhuận sai, ngày 30 của tháng thiếu)
+    function lunarToSolar(lunarDay, lunarMonth, lunarYear, lunarLeap = 0, timeZone = calendarTimeZone.lunarTimeZone) {
+        if (lunarMonth < 1 || lunarMonth > 12 || lunarDay < 1 || lunarDay > 30) return null;
+        let a11, b11;
+        if (lunarMonth < 11) {
+            a11 = getLunarMonth11(lunarYear - 1, timeZone);
+            b11 = getLunarMonth11(lunarYear, timeZone);
+        } else {
+            a11 = getLunarMonth11(lunarYear, timeZone);
+            b11 = getLunarMonth11(lunarYear + 1, timeZone);
+        }
+        const k = Math.floor(0.5 + (a11 - 2415021.076998695) / SYNODIC_MONTH);
+        let off = lunarMonth - 11;
+        if (off < 0) off += 12;
+        if (b11 - a11 > 365) {
+            const leapOff = getLeapMonthOffset(a11, timeZone);
+            let leapMonth = leapOff - 2;
+            if (leapMonth < 0) leapMonth += 12;
+            if (lunarLeap && lunarMonth !== leapMonth) return null;
+            if (lunarLeap || off >= leapOff) off += 1;
+        } else if (lunarLeap) {
+            return null;
+        }
+        const monthStart = getNewMoonDay(k + off, timeZone);
+        const monthLength = getNewMoonDay(k + off + 1, timeZone) - monthStart;
+        if (lunarDay > monthLength) return null;
+        const [day, month, year] = jdToDate(monthStart + lunarDay - 1);
+        return { day, month, year };
+    }
+
+    // ===== CAN CHI (lục thập hoa giáp) =====
+    const CAN = ["Giáp", "Ất", "Bính", "Đinh", "Mậu", "Kỷ", "Canh", "Tân", "Nhâm", "Quý"];
+    const CHI = ["Tý", "Sửu", "Dần", "Mão", "Thìn", "Tỵ", "Ngọ", "Mùi", "Thân", "Dậu", "Tuất", "Hợi"];
+
+    function canChiName(can, chi) {
+        return `${CAN[can]} ${CHI[chi]}`;
+    }
+
+    // Năm âm lịch (vd. 2026 → "Bính Ngọ")
+    function getYearCanChi(lunarYear) {
+        return canChiName((lunarYear + 6) % 10, (lunarYear + 8) % 12);
+    }
+
+    // Tháng âm lịch: tháng Giêng luôn là tháng Dần; tháng nhuận dùng Can Chi của tháng chính
+    function getMonthCanChi(lunarMonth, lunarYear) {
+        return canChiName((lunarYear * 12 + lunarMonth + 3) % 10, (lunarMonth + 1) % 12);
+    }
+
+    // Ngày: theo số ngày Julius
+    function getDayCanChi(jd) {
+        return canChiName((jd + 9) % 10, (jd + 1) % 12);
+    }
+
+    // ===== 24 TIẾT KHÍ =====
+    // Mỗi tiết khí ứng với 15° kinh độ mặt trời, bắt đầu từ Xuân phân (0°)
+    const SOLAR_TERMS = [
+        "Xuân phân", "Thanh minh", "Cốc vũ", "Lập hạ", "Tiểu mãn", "Mang chủng",
+        "Hạ chí", "Tiểu thử", "Đại thử", "Lập thu", "Xử thử", "Bạch lộ",
+        "Thu phân", "Hàn lộ", "Sương giáng", "Lập đông", "Tiểu tuyết", "Đại tuyết",
+        "Đông chí", "Tiểu hàn", "Đại hàn", "Lập xuân", "Vũ thủy", "Kinh trập"
+    ];
+
+    // Tiết khí đang diễn ra tính đến hết ngày jd
+    function getSolarTermIndex(jd, timeZone) {
+        return Math.floor(getSunLongitudeRad(jd + 1, timeZone) / PI * 12);
+    }
+
+    // ===== TUẦN TRĂNG =====
+    // Ngày của 4 tuần trăng chính tính từ Sóc thứ k: Vọng dùng cùng chuỗi hiệu chỉnh với k + 0.5,
+    // Thượng/Hạ huyền lấy điểm giữa Sóc-Vọng (sai số có thể tới ~1 ngày)
+    const MOON_PHASES = [
+        { id: 'new', name: 'Trăng non (Sóc)', icon: '🌑' },
+        { id: 'waxingCrescent', name: 'Trăng lưỡi liềm đầu tháng', icon: '🌒' },
+        { id: 'firstQuarter', name: 'Trăng thượng huyền', icon: '🌓' },
+        { id: 'waxingGibbous', name: 'Trăng khuyết đầu tháng', icon: '🌔' },
+        { id: 'full', name: 'Trăng tròn (Vọng)', icon: '🌕' },
+        { id: 'waningGibbous', name: 'Trăng khuyết cuối tháng', icon: '🌖' },
+        { id: 'lastQuarter', name: 'Trăng hạ huyền', icon: '🌗' },
+        { id: 'waningCrescent', name: 'Trăng lưỡi liềm cuối tháng', icon: '🌘' }
+    ];
+
+    function getPrincipalPhaseDay(k, quarter, timeZone) {
+        if (quarter === 0) return getNewMoonDay(k, timeZone);
+        const jd = [null,
+            (getNewMoonJd(k) + getNewMoonJd(k + 0.5)) / 2,
+            getNewMoonJd(k + 0.5),
+            (getNewMoonJd(k + 0.5) + getNewMoonJd(k + 1)) / 2][quarter];
+        return Math.floor(jd + 0.5 + timeZone / 24);
+    }
+
+    // Chỉ số Sóc k của tháng âm chứa ngày jd
+    function getLunationIndex(jd, timeZone) {
+        const k = Math.floor((jd - 2415021.076998695) / SYNODIC_MONTH);
+        return getNewMoonDay(k + 1, timeZone) <= jd ? k + 1 : k;
+    }
+
+    function getMoonPhaseByJd(jd, timeZone) {
+        const k = getLunationIndex(jd, timeZone);
+        let index = null;
+        for (let q = 0; q < 4 && index === null; q++) {
+            if (getPrincipalPhaseDay(k, q, timeZone) === jd) index = q * 2;
+        }
+        if (index === null) {
+            const next = q => q < 4 ? getPrincipalPhaseDay(k, q, timeZone) : getNewMoonDay(k + 1, timeZone);
+            for (let q = 0; q < 4 && index === null; q++) {
+                if (jd > getPrincipalPhaseDay(k, q, timeZone) && jd < next(q + 1)) index = q * 2 + 1;
+            }
+        }
+        // Tuổi trăng lúc 12h trưa giờ địa phương
+        const age = jd - timeZone / 24 - getNewMoonJd(k);
+        const phase = MOON_PHASES[index === null ? 0 : index];
+        return {
+            phase: phase.id,
+            name: phase.name,
+            icon: phase.icon,
+            age: Math.round(Math.max(0, age) * 10) / 10,
+            illumination: Math.round((1 - Math.cos(2 * PI * Math.max(0, age) / SYNODIC_MONTH)) / 2 * 100) / 100
+        };
+    }
+
+    function dateToJd(date) {
+        return jdFromDate(date.getDate(), date.getMonth() + 1, date.getFullYear());
+    }
+
+    function jdToLocalDate(jd) {
+        const [day, month, year] = jdToDate(jd);
+        return new Date(year, month - 1, day);
+    }
+
+    // API công khai
+    return {
+        solarToLunar: solarToLunar,
+        lunarToSolar: lunarToSolar,
+        CAN: CAN,
+        CHI: CHI,
+        SOLAR_TERMS: SOLAR_TERMS,
+        MOON_PHASES: MOON_PHASES,
+
+        // Ngày dương lịch (Date) của một ngày âm lịch; null nếu không tồn tại
+        getSolarDate: function (lunarDay, lunarMonth, lunarYear, leap = false) {
+            const solar = lunarToSolar(lunarDay, lunarMonth, lunarYear, leap ? 1 : 0);
+            return solar ? new Date(solar.year, solar.month - 1, solar.day) : null;
+        },
+
+        // Can Chi của ngày, tháng, năm âm lịch chứa date
+        getCanChi: function (date) {
+            const lunar = this.getLunarDate(date);
+            return {
+                day: getDayCanChi(dateToJd(date)),
+                month: getMonthCanChi(lunar.month, lunar.year),
+                year: getYearCanChi(lunar.year)
+            };
+        },
+
+        getYearCanChi: getYearCanChi,
+
+        // Tiết khí của ngày: { index, name, longitude (độ), startDate, isStart (ngày bắt đầu tiết khí) }
+        getSolarTerm: function (date) {
+            const jd = dateToJd(date);
+            const index = getSolarTermIndex(jd, calendarTimeZone.lunarTimeZone);
+            let start = jd;
+            while (getSolarTermIndex(start - 1, calendarTimeZone.lunarTimeZone) === index) start--;
+            return {
+                index: index,
+                name: SOLAR_TERMS[index],
+                longitude: index * 15,
+                startDate: jdToLocalDate(start),
+                isStart: start === jd
+            };
+        },
+
+        // 24 tiết khí bắt đầu trong năm dương lịch: [{ index, name, longitude, date }]
+        getSolarTerms: function (year) {
+            const terms = [];
+            const last = jdFromDate(31, 12, year);
+            let prev = getSolarTermIndex(jdFromDate(31, 12, year - 1), calendarTimeZone.lunarTimeZone);
+            for (let jd = jdFromDate(1, 1, year); jd <= last; jd++) {
+                const index = getSolarTermIndex(jd, calendarTimeZone.lunarTimeZone);
+                if (index !== prev) {
+                    terms.push({ index, name: SOLAR_TERMS[index], longitude: index * 15, date: jdToLocalDate(jd) });
+                    prev = index;
+                }
+            }
+            return terms;
+        },
+
+        // Tuần trăng của ngày: { phase, name, icon, age (ngày tuổi trăng), illumination (0-1) }
+        getMoonPhase: function (date) {
+            return getMoonPhaseByJd(dateToJd(date), calendarTimeZone.lunarTimeZone);
+        },
+
+        // Các tuần trăng chính (Sóc, Thượng huyền, Vọng, Hạ huyền) trong tháng dương lịch (month: 1-12)
+        getMoonPhases: function (year, month) {
+            const first = jdFromDate(1, month, year);
+            const last = jdFromDate(1, month === 12 ? 1 : month + 1, month === 12 ? year + 1 : year) - 1;
+            const k0 = getLunationIndex(first, calendarTimeZone.lunarTimeZone);
+            const phases = [];
+            for (let k = k0; k <= k0 + 1; k++) {
+                for (let q = 0; q < 4; q++) {
+                    const jd = getPrincipalPhaseDay(k, q, calendarTimeZone.lunarTimeZone);
+                    if (jd >= first && jd <= last) {
+                        const phase = MOON_PHASES[q * 2];
+                        phases.push({ phase: phase.id, name: phase.name, icon: phase.icon, date: jdToLocalDate(jd) });
+                    }
+                }
+            }
+            return phases;
+        },
+
+        // Lấy ngày âm lịch từ Date object (có cache)
+        getLunarDate: function (date) {
+            const cacheKey = `${date.getFullYear()}_${date.getMonth()}_${date.getDate()}`;
+            const cached = CACHE.get('lunarDates', cacheKey);
+            if (cached) return cached;
+
+            const result = solarToLunar(date.getDate(), date.getMonth() + 1, date.getFullYear());
+            CACHE.set('lunarDates', cacheKey, result);
+            return result;
+        },
+
+        // Format ngày âm lịch
+        formatLunarDay: function (date) {
+            const lunar = this.getLunarDate(date);
+            return lunar.day;
+        },
+
+        // Format đầy đủ ngày âm lịch (ngày/tháng)
+        formatLunarFull: function (date) {
+            const lunar = this.getLunarDate(date);
+            const monthStr = lunar.leap ? `${lunar.month}N` : lunar.month;
+            return `${lunar.day}/${monthStr}`;
+        },
+
+        // Kiểm tra có phải ngày mùng 1 âm lịch không
+        isFirstDayOfLunarMonth: function (date) {
+            const lunar = this.getLunarDate(date);
+            return lunar.day === 1;
+        },
+
+        // Lấy tên tháng âm lịch
+        getLunarMonthName: function (month, leap) {
+            const names = ["Giêng", "Hai", "Ba", "Tư", "Năm", "Sáu", "Bảy", "Tám", "Chín", "Mười", "M.Một", "Chạp"];
+            return (leap ? "Nhuận " : "") + names[month - 1];
+        },
+
+        // Kiểm tra có phải ngày Tết Việt Nam không (Mùng 1, 2, 3 tháng Giêng)
+        isTetDay: function (date) {
+            const lunar = this.getLunarDate(date);
+            // Tháng Giêng (tháng 1) và không phải tháng nhuận
+            if (lunar.month === 1 && !lunar.leap && lunar.day >= 1 && lunar.day <= 3) {
+                return lunar.day;
+            }
+            return 0;
+        },
+
+        // Kiểm tra có phải ngày 30 Tết (Giao thừa) không
+        isNewYearEve: function (date) {
+            const lunar = this.getLunarDate(date);
+            // Ngày cuối tháng Chạp (tháng 12 âm lịch)
+            if (lunar.month === 12 && !lunar.leap) {
+                // Kiểm tra ngày mai có phải mùng 1 tháng Giêng không
+                const tomorrow = new Date(date);
+                tomorrow.setDate(tomorrow.getDate() + 1);
+                const tomorrowLunar = this.getLunarDate(tomorrow);
+                if (tomorrowLunar.month === 1 && tomorrowLunar.day === 1 && !tomorrowLunar.leap) {
+                    return true;
+                }
+            }
+            return false;
+        }
+    };
+})();
+
+// ============================================================================
+// NGÀY GIỖ (DEATH ANNIVERSARIES) - theo ngày âm lịch qua đời
+// Người dùng đăng ký người đã qua đời; mỗi năm đổi sang ngày dương để xin lễ
+// ============================================================================
+
+// Số ngày nhắc xin lễ trước ngày giỗ (mặc định)
+const ANNIVERSARY_REMINDER_DAYS = 7;
+
+// { id, name, lunarDay, lunarMonth, leapMonth, observeLeapMonth, deathYear, reminderDays, note }
+let deathAnniversaries = [];
+// Kết quả getAnniversariesInYear theo năm; xoá khi danh sách thay đổi
+const anniversaryYearCache = new Map();
+
+// Kiểm tra và chuẩn hoá một người đăng ký giỗ
+// leapMonth: qua đời trong tháng nhuận. Mặc định giỗ vào tháng chính cùng tên;
+// observeLeapMonth = true: năm nào có đúng tháng nhuận đó thì giỗ vào tháng nhuận.
+function normalizeDeathAnniversary(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new TypeError('Ngày giỗ cần có tên người đã qua đời');
+    }
+    const lunarDay = Number(entry.lunarDay);
+    const lunarMonth = Number(entry.lunarMonth);
+    if (!Number.isInteger(lunarDay) || lunarDay < 1 || lunarDay > 30 ||
+        !Number.isInteger(lunarMonth) || lunarMonth < 1 || lunarMonth > 12) {
+        throw new RangeError(`Ngày âm lịch không hợp lệ: ${entry.lunarDay}/${entry.lunarMonth}`);
+    }
+    const deathYear = entry.deathYear === undefined || entry.deathYear === null || entry.deathYear === ''
+        ? null : Number(entry.deathYear);
+    if (deathYear !== null && !Number.isInteger(deathYear)) {
+        throw new RangeError(`Năm qua đời không hợp lệ: ${entry.deathYear}`);
+    }
+    const reminderDays = entry.reminderDays === undefined || entry.reminderDays === null || entry.reminderDays === ''
+        ? ANNIVERSARY_REMINDER_DAYS : Number(entry.reminderDays);
+    if (!Number.isInteger(reminderDays) || reminderDays < 0 || reminderDays > 60) {
+        throw new RangeError(`Số ngày nhắc xin lễ không hợp lệ: ${entry.reminderDays} (0-60)`);
+    }
+    return {
+        id: entry.id ? String(entry.id) : `gio-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name: entry.name.trim(),
+        lunarDay,
+        lunarMonth,
+        leapMonth: Boolean(entry.leapMonth),
+        observeLeapMonth: Boolean(entry.leapMonth && entry.observeLeapMonth),
+        deathYear,
+        reminderDays,
+        note: entry.note ? String(entry.note) : ''
+    };
+}
+
+function getDeathAnniversaries() {
+    return deathAnniversaries.map(a => ({ ...a }));
+}
+
+// Thay toàn bộ danh sách (vd. nạp từ localStorage). Lỗi ở một người → không thay đổi gì.
+function setDeathAnniversaries(list = []) {
+    deathAnniversaries = (Array.isArray(list) ? list : []).map(normalizeDeathAnniversary);
+    anniversaryYearCache.clear();
+    return getDeathAnniversaries();
+}
+
+function addDeathAnniversary(entry) {
+    const normalized = normalizeDeathAnniversary(entry);
+    deathAnniversaries = deathAnniversaries.filter(a => a.id !== normalized.id).concat(normalized);
+    anniversaryYearCache.clear();
+    return { ...normalized };
+}
+
+function removeDeathAnniversary(id) {
+    const before = deathAnniversaries.length;
+    deathAnniversaries = deathAnniversaries.filter(a => a.id !== id);
+    anniversaryYearCache.clear();
+    return deathAnniversaries.length < before;
+}
+
+// Ngày dương lịch của giỗ trong năm âm lịch lunarYear
+// Tháng thiếu (không có ngày 30) → giỗ ngày 29
+function getAnniversaryDate(entry, lunarYear) {
+    const useLeap = entry.leapMonth && entry.observeLeapMonth &&
+        LUNAR_CALENDAR.getSolarDate(1, entry.lunarMonth, lunarYear, true) !== null;
+    return LUNAR_CALENDAR.getSolarDate(entry.lunarDay, entry.lunarMonth, lunarYear, useLeap) ||
+        LUNAR_CALENDAR.getSolarDate(entry.lunarDay - 1, entry.lunarMonth, lunarYear, useLeap);
+}
+
+// Các ngày giỗ rơi vào năm dương lịch year (tháng Chạp năm âm trước có thể rơi vào tháng 1-2)
+// → [{ id, name, date, lunarYear, years (số năm kể từ khi qua đời), ... }] theo thứ tự ngày
+function getAnniversariesInYear(year, list = deathAnniversaries) {
+    const cacheable = list === deathAnniversaries;
+    if (cacheable && anniversaryYearCache.has(year)) return anniversaryYearCache.get(year).slice();
+    const result = [];
+    list.forEach(entry => {
+        [year - 1, year].forEach(lunarYear => {
+            const date = getAnniversaryDate(entry, lunarYear);
+            if (!date || date.getFullYear() !== year) return;
+            if (entry.deathYear !== null && lunarYear <= entry.deathYear) return;
+            result.push({
+                ...entry,
+                date,
+                lunarYear,
+                years: entry.deathYear !== null ? lunarYear - entry.deathYear : null
+            });
+        });
+    });
+    result.sort((a, b) => a.date - b.date);
+    if (cacheable) anniversaryYearCache.set(year, result.slice());
+    return result;
+}
+
+function getAnniversariesOnDate(date) {
+    if (deathAnniversaries.length === 0) return [];
+    const iso = toISODateLocal(date);
+    return getAnniversariesInYear(date.getFullYear()).filter(a => toISODateLocal(a.date) === iso);
+}
+
+// Giỗ sắp tới trong days ngày kể từ fromDate, kèm ngày nhắc xin lễ (remindOn)
+// remindNow: đã đến hạn nhắc (fromDate >= remindOn)
+function getUpcomingAnniversaries(fromDate = getCalendarToday(), days = 60) {
+    const from = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+    const to = addDays(from, days);
+    const list = [];
+    for (let year = from.getFullYear(); year <= to.getFullYear(); year++) {
+        getAnniversariesInYear(year).forEach(a => {
+            if (a.date < from || a.date > to) return;
+            const remindOn = addDays(a.date, -a.reminderDays);
+            list.push({
+                ...a,
+                daysUntil: Math.round((a.date - from) / 86400000),
+                remindOn,
+                remindNow: from >= remindOn
+            });
+        });
+    }
+    return list;
+}
+
+// ============================================================================
+// TẾT VIỆT NAM - Vietnamese Lunar New Year Celebrations
+// Theo quy định của HĐGMVN (Vietnamese Bishops Conference)
+// ============================================================================
+
+const TET_CELEBRATIONS = {
+    // Mùng 1 Tết: Tân Niên - Cầu bình an năm mới
+    1: {
+        name: "MÙNG MỘT TẾT - Tân Niên",
+        fullName: "Thánh Lễ Tân Niên - Cầu Bình An Năm Mới",
+        rank: 3, // Tương đương Lễ Trọng (SOLEMNITY)
+        rankCode: "TRONG",
+        color: "red",
+        category: "LORD",
+        grade: "TRỌNG",
+        isTet: true,
+        readingCode: "70001", // Mã bài đọc Tết Mùng 1
+        note: "Theo phép HĐGMVN: Thánh lễ Tân Niên cầu bình an."
+    },
+    // Mùng 2 Tết: Kính nhớ Tổ Tiên và Ông Bà Cha Mẹ
+    2: {
+        name: "MÙNG HAI TẾT - Kính Nhớ Tổ Tiên",
+        fullName: "Thánh Lễ Kính Nhớ Tổ Tiên và Ông Bà Cha Mẹ",
+        rank: 3, // Tương đương Lễ Trọng
+        rankCode: "TRONG",
+        color: "white",
+        category: "OTHER",
+        grade: "TRỌNG",
+        isTet: true,
+        readingCode: "70002", // Mã bài đọc Tết Mùng 2
+        note: "Theo phép HĐGMVN: Thánh lễ kính nhớ Tổ Tiên."
+    },
+    // Mùng 3 Tết: Thánh hóa công ăn việc làm
+    3: {
+        name: "MÙNG BA TẾT - Thánh Hóa Công Việc",
+        fullName: "Thánh Lễ Thánh Hóa Công Ăn Việc Làm",
+        rank: 3, // Tương đương Lễ Trọng
+        rankCode: "TRONG",
+        color: "white",
+        category: "OTHER",
+        grade: "TRỌNG",
+        isTet: true,
+        readingCode: "70003", // Mã bài đọc Tết Mùng 3
+        note: "Theo phép HĐGMVN: Thánh lễ thánh hóa công việc."
+    },
+    // Đêm Giao thừa
+    0: {
+        name: "ĐÊM GIAO THỪA",
+        fullName: "Thánh Lễ Đêm Giao Thừa - Tạ Ơn Cuối Năm",
+        rank: 6, // Lễ Kính
+        rankCode: "KINH",
+        color: "white",
+        category: "OTHER",
+        grade: "KÍNH",
+        isTet: true,
+        isEve: true,
+        readingCode: null, // Giao thừa dùng bài đọc của ngày
+        note: "Theo phép HĐGMVN: Thánh lễ Giao thừa tạ ơn cuối năm."
+    }
+};
+
+// ============================================================================
+// CÁC DỊP THEO ÂM LỊCH (ngoài Tết) - Lunar observances registry
+// match: { lunarMonth, lunarDay } (không tính tháng nhuận) hoặc { solarTerm } (ngày bắt đầu tiết khí)
+// policy - cách xử lý khi trùng phụng vụ trong ngày:
+//   'celebrate': thay phụng vụ ngày nếu bậc (rank) cao hơn hoặc bằng, như Thánh lễ Tết
+//   'optional':  ngày thường / lễ nhớ tùy chọn Mùa Thường Niên có thể cử hành; ngày khác chỉ ghi chú
+//   'note':      chỉ ghi chú, không thay phụng vụ
+// readingCode: mã bài đọc trong READINGS_SPECIAL khi được cử hành (null = bài đọc của ngày)
+// Thêm dịp mới: registerLunarObservance({...}) hoặc thêm vào danh sách dưới đây
+// ============================================================================
+
+const LUNAR_OBSERVANCE_POLICIES = ['celebrate', 'optional', 'note'];
+
+const LUNAR_OBSERVANCES = {};
+
+function registerLunarObservance(observance) {
+    if (!observance || typeof observance.id !== 'string' || !observance.id || !observance.name) {
+        throw new TypeError('Dịp âm lịch cần có id và name');
+    }
+    const match = observance.match || {};
+    const byLunar = Number.isInteger(match.lunarMonth) && match.lunarMonth >= 1 && match.lunarMonth <= 12 &&
+        Number.isInteger(match.lunarDay) && match.lunarDay >= 1 && match.lunarDay <= 30;
+    const bySolarTerm = typeof match.solarTerm === 'string' && LUNAR_CALENDAR.SOLAR_TERMS.includes(match.solarTerm);
+    if (!byLunar && !bySolarTerm) {
+        throw new TypeError(`Dịp âm lịch ${observance.id}: match cần { lunarMonth, lunarDay } hoặc { solarTerm }`);
+    }
+    const policy = observance.policy || 'note';
+    if (!LUNAR_OBSERVANCE_POLICIES.includes(policy)) {
+        throw new TypeError(`Dịp âm lịch ${observance.id}: policy không hợp lệ ${policy}`);
+    }
+    const rankCode = observance.rankCode || 'NHOKB';
+    LUNAR_OBSERVANCES[observance.id] = {
+        id: observance.id,
+        name: observance.name,
+        fullName: observance.fullName || observance.name,
+        match: bySolarTerm ? { solarTerm: match.solarTerm } : { lunarMonth: match.lunarMonth, lunarDay: match.lunarDay },
+        rankCode: rankCode,
+        rank: observance.rank ?? null, // null = theo rankCode (getRankPriority)
+        color: observance.color || 'white',
+        readingCode: observance.readingCode || null,
+        policy: policy,
+        note: observance.note || ''
+    };
+    // Kết quả getDayInfo đã cache không còn đúng
+    if (CACHE.dayInfo) CACHE.dayInfo.clear();
+    return { ...LUNAR_OBSERVANCES[observance.id] };
+}
+
+function removeLunarObservance(id) {
+    if (!LUNAR_OBSERVANCES[id]) return false;
+    delete LUNAR_OBSERVANCES[id];
+    if (CACHE.dayInfo) CACHE.dayInfo.clear();
+    return true;
+}
+
+function listLunarObservances() {
+    return Object.values(LUNAR_OBSERVANCES).map(o => ({ ...o, match: { ...o.match } }));
+}
+
+[
+    {
+        id: 'ram-thang-gieng',
+        name: 'Rằm Tháng Giêng',
+        fullName: 'Thánh Lễ Cầu Bình An Rằm Tháng Giêng',
+        match: { lunarMonth: 1, lunarDay: 15 },
+        rankCode: 'NHOKB',
+        color: 'white',
+        policy: 'optional',
+        note: 'Rằm Tháng Giêng: có thể cử hành Thánh lễ cầu bình an cho năm mới vào ngày thường.'
+    },
+    {
+        id: 'thanh-minh',
+        name: 'Tiết Thanh Minh',
+        fullName: 'Tiết Thanh Minh - Cầu Nguyện Cho Các Linh Hồn',
+        match: { solarTerm: 'Thanh minh' },
+        rankCode: 'NHOKB',
+        color: 'purple',
+        policy: 'note',
+        note: 'Tiết Thanh Minh: các gia đình viếng mộ, cầu nguyện cho ông bà tổ tiên và các linh hồn.'
+    },
+    {
+        id: 'trung-thu',
+        name: 'Tết Trung Thu',
+        fullName: 'Thánh Lễ Tết Trung Thu Cho Thiếu Nhi',
+        match: { lunarMonth: 8, lunarDay: 15 },
+        rankCode: 'NHOKB',
+        color: 'white',
+        policy: 'optional',
+        note: 'Tết Trung Thu: có thể cử hành Thánh lễ cho thiếu nhi vào ngày thường.'
+    }
+].forEach(registerLunarObservance);
+
+// ============================================================================
+// KỶ LUẬT PHỤNG VỤ - Liturgical Discipline (Ăn chay, kiêng thịt, lễ buộc)
+// ============================================================================
+
+const LITURGICAL_DISCIPLINE = {
+    // Ngày ăn chay và kiêng thịt (Fast and Abstinence)
+    FAST_ABSTINENCE: {
+        // Lễ Tro
+        ashWednesday: {
+            fast: true,
+            abstinence: true,
+            label: "Ăn chay và kiêng thịt",
+            note: "Ngày Lễ Tro: Buộc ăn chay và kiêng thịt (người từ 18-59 tuổi)"
+        },
+        // Thứ Sáu Tuần Thánh
+        goodFriday: {
+            fast: true,
+            abstinence: true,
+            label: "Ăn chay và kiêng thịt",
+            note: "Thứ Sáu Tuần Thánh: Buộc ăn chay và kiêng thịt"
+        }
+    },
+    // Ngày kiêng thịt (Abstinence only - các thứ Sáu Mùa Chay)
+    ABSTINENCE_ONLY: {
+        lentFridays: {
+            abstinence: true,
+            label: "Kiêng thịt",
+            note: "Thứ Sáu Mùa Chay: Buộc kiêng thịt (người từ 14 tuổi trở lên)"
+        }
+    },
+    // Lễ buộc tại Việt Nam (Holy Days of Obligation)
+    HOLY_DAYS_VN: [
+        { month: 0, day: 1, name: "Đức Maria Mẹ Thiên Chúa", obligation: true },
+        { month: 11, day: 25, name: "Lễ Giáng Sinh", obligation: true },
+        // Các lễ di động
+        { movable: "easter", name: "Đại Lễ Phục Sinh", obligation: true },
+        { movable: "ascension", name: "Lễ Thăng Thiên", obligation: true },
+        { movable: "assumption", month: 7, day: 15, name: "Đức Mẹ Hồn Xác Lên Trời", obligation: true },
+        { movable: "allSaints", month: 10, day: 1, name: "Lễ Các Thánh", obligation: true }
+    ]
+};
+
+// Lấy thông tin kỷ luật phụng vụ cho ngày
+function getLiturgicalDiscipline(date, litData) {
+    const disciplines = [];
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const dayOfWeek = date.getDay();
+    const month = date.getMonth();
+    const day = date.getDate();
+
+    // Kiểm tra Lễ Tro
+    const ashTime = litData.ashWednesdayTransferred ? t(litData.ashWednesdayCelebration) : t(litData.ashWednesday);
+    if (dTime === ashTime) {
+        disciplines.push({
+            type: 'fast',
+            icon: '🍽️',
+            label: 'Ăn chay',
+            class: 'discipline-fast'
+        });
+        disciplines.push({
+            type: 'abstinence',
+            icon: '🥬',
+            label: 'Kiêng thịt',
+            class: 'discipline-abstinence'
+        });
+    }
+
+    // Kiểm tra Thứ Sáu Tuần Thánh
+    if (dTime === t(litData.goodFriday)) {
+        disciplines.push({
+            type: 'fast',
+            icon: '🍽️',
+            label: 'Ăn chay',
+            class: 'discipline-fast'
+        });
+        disciplines.push({
+            type: 'abstinence',
+            icon: '🥬',
+            label: 'Kiêng thịt',
+            class: 'discipline-abstinence'
+        });
+    }
+
+    // Kiểm tra các Thứ Sáu Mùa Chay (trùng Tết: theo chính sách xung đột Tết, có thể được chuẩn)
+    const tetResolution = dayOfWeek === 5 && typeof LUNAR_CALENDAR !== 'undefined' ? getTetResolution(date, litData) : null;
+    if (tetResolution && tetResolution.fasting === 'dispensed') {
+        disciplines.push({
+            type: 'dispensation',
+            icon: '🎊',
+            label: 'Chuẩn kiêng thịt (Tết)',
+            class: 'discipline-special',
+            note: tetResolution.fastingNote
+        });
+    } else if (dayOfWeek === 5 && dTime >= t(litData.ashWednesday) && dTime < t(litData.easter)) {
+        if (!disciplines.some(d => d.type === 'abstinence')) {
+            disciplines.push({
+                type: 'abstinence',
+                icon: '🥬',
+                label: 'Kiêng thịt',
+                class: 'discipline-abstinence'
+            });
+        }
+    }
+
+    // Kiểm tra Lễ Buộc (theo hồ sơ lịch đang dùng)
+    // movable: khoá trong litData (nếu có), ngược lại so theo tháng/ngày;
+    // exceptWeekdays: các thứ trong tuần được miễn lễ buộc (vd. Hoa Kỳ: Thứ Bảy/Thứ Hai)
+    const isHolyDay = getCalendarProfile().holyDays.some(hd => {
+        if (hd.movable && litData[hd.movable]) return dTime === t(litData[hd.movable]);
+        if (hd.month === undefined || month !== hd.month || day !== hd.day) return false;
+        return !(hd.exceptWeekdays && hd.exceptWeekdays.includes(dayOfWeek));
+    });
+
+    // Chúa Nhật cũng là lễ buộc
+    if (dayOfWeek === 0 || isHolyDay) {
+        disciplines.push({
+            type: 'obligation',
+            icon: '⛪',
+            label: 'Lễ buộc',
+            class: 'discipline-obligation'
+        });
+    }
+
+    // Ghi chú đặc biệt cho Tam Nhật Vượt Qua
+    if (dTime >= t(addDays(litData.easter, -3)) && dTime <= t(litData.easter)) {
+        disciplines.push({
+            type: 'special',
+            icon: '✝️',
+            label: 'Tam Nhật Vượt Qua',
+            class: 'discipline-special'
+        });
+    }
+
+    return disciplines;
+}
+
+// Lấy mã bài đọc Tết
+function getTetReadingCode(date) {
+    const tetDay = LUNAR_CALENDAR.isTetDay(date);
+    if (tetDay > 0 && TET_CELEBRATIONS[tetDay]) {
+        return TET_CELEBRATIONS[tetDay].readingCode;
+    }
+    return null;
+}
+
+// Helper: YYYY-MM-DD theo ngày địa phương (tránh lệch UTC)
+function toISODateLocal(date) {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Helper: lấy link suy niệm nếu có (từ map hoặc dữ liệu bài đọc)
+function getMeditationLinkForDate(date, dayInfo, cycle, weekdayCycle) {
+    const iso = toISODateLocal(date);
+    if (typeof MEDITATION_LINKS !== 'undefined' && MEDITATION_LINKS[iso]) {
+        return MEDITATION_LINKS[iso];
+    }
+    if (typeof MEDITATION_BY_CODE !== 'undefined' && dayInfo?.dayCode && MEDITATION_BY_CODE[dayInfo.dayCode]) {
+        return MEDITATION_BY_CODE[dayInfo.dayCode];
+    }
+    if (typeof READINGS_SPECIAL !== 'undefined' && dayInfo?.dayCode && READINGS_SPECIAL[dayInfo.dayCode]?.meditationUrl) {
+        return READINGS_SPECIAL[dayInfo.dayCode].meditationUrl;
+    }
+    if (typeof READINGS_DATA !== 'undefined' && dayInfo?.dayCode) {
+        const ref = READINGS_DATA.find(r => {
+            if (r.code != dayInfo.dayCode) return false;
+            if (date.getDay() === 0) return r.year === cycle;
+            return r.year === weekdayCycle || r.year === "0";
+        });
+        if (ref && ref.meditationUrl) return ref.meditationUrl;
+    }
+    return null;
+}
+
+// Lấy thông tin Tết cho một ngày
+function getTetEvent(date) {
+    const tetDay = LUNAR_CALENDAR.isTetDay(date);
+    if (tetDay > 0 && TET_CELEBRATIONS[tetDay]) {
+        const lunar = LUNAR_CALENDAR.getLunarDate(date);
+        return {
+            ...TET_CELEBRATIONS[tetDay],
+            lunar: lunar
+        };
+    }
+
+    // Kiểm tra đêm Giao thừa
+    if (LUNAR_CALENDAR.isNewYearEve(date) && TET_CELEBRATIONS[0]) {
+        const lunar = LUNAR_CALENDAR.getLunarDate(date);
+        return {
+            ...TET_CELEBRATIONS[0],
+            lunar: lunar
+        };
+    }
+
+    return null;
+}
+
+// Các dịp âm lịch (ngoài Tết) rơi vào ngày này
+function getLunarObservances(date) {
+    const observances = Object.values(LUNAR_OBSERVANCES);
+    if (observances.length === 0) return [];
+    const lunar = LUNAR_CALENDAR.getLunarDate(date);
+    const needsTerm = observances.some(o => o.match.solarTerm);
+    const term = needsTerm ? LUNAR_CALENDAR.getSolarTerm(date) : null;
+    return observances
+        .filter(o => o.match.solarTerm
+            ? term.isStart && term.name === o.match.solarTerm
+            : !lunar.leap && lunar.month === o.match.lunarMonth && lunar.day === o.match.lunarDay)
+        .map(o => ({ ...o, lunar: lunar }));
+}
+
+// ============================================================================
+// XUNG ĐỘT TẾT VỚI PHỤNG VỤ - Tet conflict policy (theo HĐGMVN)
+// Áp cho Mùng 1-3 Tết; xét theo thứ tự, chính sách đầu tiên khớp được dùng.
+//   mass:     'tet' = cử hành Thánh lễ Tết (mã 7000D); 'day' = giữ Thánh lễ của ngày
+//   readings: 'proper' = dùng bài đọc Tết; 'optional' = chọn bài đọc Tết hoặc bài đọc của ngày;
+//             'none' = không dùng bài đọc Tết (cầu cho năm mới trong Lời nguyện tín hữu)
+//   fasting:  chỉ xét ngày có luật chay/kiêng (Lễ Tro, thứ Sáu Mùa Chay):
+//             'kept' = vẫn giữ; 'dispensed' = được chuẩn; 'transferred' = dời theo Lễ Tro
+// Tết muộn nhất là 20/02 nên không thể trùng Tuần Thánh; vẫn khai báo cho đầy đủ.
+// ============================================================================
+
+const TET_CONFLICT_POLICIES = [
+    {
+        id: 'holyWeek',
+        label: 'Tuần Thánh / Tam Nhật Vượt Qua',
+        test: c => c.specialDayType === 'HOLY_WEEK' || c.specialDayType === 'TRIDUUM',
+        mass: 'day',
+        readings: 'none',
+        fasting: 'kept',
+        note: 'Tết trùng Tuần Thánh: giữ trọn phụng vụ Tuần Thánh; chỉ cầu nguyện cho năm mới trong Lời nguyện tín hữu.'
+    },
+    {
+        id: 'ashWednesdayTransferred',
+        label: 'Thứ Tư Lễ Tro (dời sang Mùng 4)',
+        test: c => c.isAshWednesday && c.ashWednesdayTransferred,
+        mass: 'tet',
+        readings: 'proper',
+        fasting: 'transferred',
+        note: 'Theo phép HĐGMVN: Lễ Tro trùng Tết được dời sang Mùng 4; hôm nay cử hành Thánh lễ Tết, Mùa Chay vẫn bắt đầu (không hát Alleluia).'
+    },
+    {
+        id: 'ashWednesday',
+        label: 'Thứ Tư Lễ Tro',
+        test: c => c.isAshWednesday,
+        mass: 'day',
+        readings: 'none',
+        fasting: 'kept',
+        note: 'Tết trùng Thứ Tư Lễ Tro: cử hành Lễ Tro, giữ chay và kiêng thịt; cầu nguyện cho năm mới trong Lời nguyện tín hữu.'
+    },
+    {
+        id: 'lentSunday',
+        label: 'Chúa Nhật Mùa Chay',
+        test: c => c.specialDayType === 'LENT' && c.isSunday,
+        mass: 'day',
+        readings: 'none',
+        fasting: null,
+        note: 'Tết trùng Chúa Nhật Mùa Chay: cử hành Thánh lễ Chúa Nhật Mùa Chay (màu tím); cầu nguyện cho năm mới trong Lời nguyện tín hữu.'
+    },
+    {
+        id: 'solemnity',
+        label: 'Lễ Trọng',
+        test: c => c.rankCode === 'TRONG',
+        mass: 'day',
+        readings: 'none',
+        fasting: null,
+        note: 'Tết trùng Lễ Trọng: cử hành Lễ Trọng; cầu nguyện cho năm mới trong Lời nguyện tín hữu.'
+    },
+    {
+        id: 'lentWeekday',
+        label: 'Ngày thường Mùa Chay',
+        test: c => c.specialDayType === 'LENT',
+        mass: 'tet',
+        readings: 'optional',
+        fasting: 'dispensed',
+        note: 'Theo phép HĐGMVN: ngày thường Mùa Chay trùng Tết được cử hành Thánh lễ Tết; có thể dùng bài đọc Tết hoặc bài đọc ngày thường Mùa Chay.'
+    },
+    {
+        id: 'ordinarySunday',
+        label: 'Chúa Nhật Thường Niên',
+        test: c => c.isSunday,
+        mass: 'tet',
+        readings: 'proper',
+        fasting: null,
+        note: 'Theo phép HĐGMVN: khi Tết trùng Chúa Nhật Thường Niên, có thể cử hành Thánh lễ Tết.'
+    },
+    {
+        id: 'weekday',
+        label: 'Ngày thường / Lễ Kính / Lễ Nhớ',
+        test: () => true,
+        mass: 'tet',
+        readings: 'proper',
+        fasting: null,
+        note: null // dùng ghi chú của ngày Tết (TET_CELEBRATIONS)
+    }
+];
+
+const TET_READINGS_LABELS = {
+    proper: 'Dùng bài đọc Tết',
+    optional: 'Tùy chọn (bài đọc Tết hoặc bài đọc của ngày)',
+    none: 'Không dùng (cầu cho năm mới trong Lời nguyện tín hữu)'
+};
+
+const TET_FASTING_NOTES = {
+    kept: 'Vẫn giữ luật ăn chay, kiêng thịt của ngày.',
+    dispensed: 'Thứ Sáu Mùa Chay trùng Tết: được chuẩn luật kiêng thịt (theo chỉ dẫn của Giám mục giáo phận).',
+    transferred: 'Ăn chay và kiêng thịt được dời sang ngày cử hành Lễ Tro.'
+};
+
+// Xử lý xung đột Tết với phụng vụ
+// temporalInfo: chỉ cần rankCode của cử hành trong ngày (trước khi xét Tết)
+// Trả về { policy, label, celebrate, mass, readings, fasting, fastingNote, note, rank }
+function resolveTetConflict(tetEvent, temporalInfo, date, litData) {
+    if (!tetEvent) return null;
+
+    // Đêm Giao Thừa: không thay phụng vụ trong ngày
+    if (tetEvent.isEve) {
+        return {
+            policy: 'eve',
+            label: 'Đêm Giao Thừa',
+            celebrate: false,
+            mass: 'day',
+            readings: 'none',
+            fasting: null,
+            fastingNote: null,
+            note: tetEvent.note,
+            rank: tetEvent.rank
+        };
+    }
+
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const isAshWednesday = dTime === t(litData.ashWednesday);
+    const context = {
+        specialDayType: getSpecialDayType(date, litData),
+        isSunday: date.getDay() === 0,
+        isAshWednesday: isAshWednesday,
+        ashWednesdayTransferred: Boolean(litData.ashWednesdayTransferred),
+        rankCode: temporalInfo ? temporalInfo.rankCode : null
+    };
+    const policy = TET_CONFLICT_POLICIES.find(p => p.test(context));
+
+    // Luật chay/kiêng chỉ có ở Lễ Tro và các thứ Sáu Mùa Chay
+    const hasPenance = isAshWednesday ||
+        (date.getDay() === 5 && dTime > t(litData.ashWednesday) && dTime < t(litData.easter));
+    const fasting = hasPenance ? policy.fasting : null;
+    let fastingNote = fasting ? TET_FASTING_NOTES[fasting] : null;
+    if (fasting === 'transferred' && litData.ashWednesdayCelebration) {
+        const celebration = litData.ashWednesdayCelebration;
+        fastingNote = `Ăn chay và kiêng thịt được dời sang ngày ${celebration.getDate()}/${celebration.getMonth() + 1} (Lễ Tro cử hành).`;
+    }
+
+    return {
+        policy: policy.id,
+        label: policy.label,
+        celebrate: policy.mass === 'tet',
+        mass: policy.mass,
+        readings: policy.readings,
+        fasting: fasting,
+        fastingNote: fastingNote,
+        note: policy.note || tetEvent.note,
+        rank: tetEvent.rank
+    };
+}
+
+// Chính sách Tết của một ngày khi chưa có getDayInfo (mã ngày, kỷ luật phụng vụ)
+// Cử hành trong ngày lấy từ bảng dời lễ / FIXED_DATA_LOOKUP, giống ƯU TIÊN 4 của getLiturgicalDayCode
+function getTetResolution(date, litData) {
+    const tetEvent = getTetEvent(date);
+    if (!tetEvent) return null;
+    const iso = toISODateLocal(date);
+    const transferIn = litData.transfersTo && litData.transfersTo[iso];
+    const transferredAway = litData.transfersFrom && litData.transfersFrom[iso];
+    const fixedKey = `${date.getMonth() + 1}-${date.getDate()}`;
+    const fixed = transferIn || (!transferredAway ? getFixedCelebration(fixedKey, date.getFullYear()) : null);
+    return resolveTetConflict(tetEvent, { rankCode: fixed ? fixed.rank : null }, date, litData);
+}
+
+// Các ngày lễ được khai báo VÀ xử lý dời lễ duy nhất trong getLiturgicalData.
+// Không đưa vào FIXED_DATA_LOOKUP để tránh trùng: St Joseph (19/3), Truyền Tin (25/3), Đức Mẹ Vô Nhiễm (8/12).
+const FEASTS_ONLY_IN_LITDATA = { '3-19': true, '3-25': true, '12-8': true };
+
+// Các ngày cố định trong SAINTS trùng với lễ di động (litData). Khi đúng ngày movable, bỏ qua FIXED để tránh trùng.
+// 11-24: Các Thánh Tử Đạo VN (fixed) vs vietnameseMartyrs (Chúa Nhật trước Chúa Kitô Vua).
+// 10-7: Đức Mẹ Mân Côi 7/10 (fixed) vs rosarySunday (Chúa Nhật đầu tháng 10).
+const MOVABLE_OVERRIDES_FIXED = { '11-24': 'vietnameseMartyrs', '10-7': 'rosarySunday' };
+
+// ============================================================================
+// MÀU PHỤNG VỤ
+// Khoá màu dùng chung cho engine, giao diện và export ('purple' = màu tím / violet).
+// bg / text: lớp CSS (css/styles.css); hex / light: mã màu cho bản in PDF.
+// Ngoài màu chính, một ngày có thể có màu thay thế (altColors): đen cho lễ cầu cho người qua đời,
+// vàng kim thay cho trắng trong các Lễ Trọng, hồng cho Chúa Nhật Gaudete / Laetare.
+// ============================================================================
+const LITURGICAL_COLORS = {
+    green: { name: 'Xanh lá', bg: 'bg-lit-green', text: 'text-lit-green', hex: '#16a34a', light: '#f0fdf4' },
+    purple: { name: 'Tím', bg: 'bg-lit-purple', text: 'text-lit-purple', hex: '#9333ea', light: '#faf5ff' },
+    white: { name: 'Trắng', bg: 'bg-lit-white', text: 'text-lit-gold', hex: '#eab308', light: '#fefce8' },
+    gold: { name: 'Vàng kim', bg: 'bg-lit-gold', text: 'text-lit-gold', hex: '#b45309', light: '#fffbeb' },
+    red: { name: 'Đỏ', bg: 'bg-lit-red', text: 'text-lit-red', hex: '#dc2626', light: '#fef2f2' },
+    rose: { name: 'Hồng', bg: 'bg-lit-rose', text: 'text-lit-rose', hex: '#ec4899', light: '#fdf2f8' },
+    black: { name: 'Đen', bg: 'bg-lit-black', text: 'text-lit-black', hex: '#1f2937', light: '#f3f4f6' }
+};
+const LITURGICAL_COLOR_ALIASES = { violet: 'purple' };
+
+// Khoá màu từ 'green', 'violet', 'bg-lit-green' hoặc 'text-lit-green' (null nếu không nhận ra)
+function normalizeLiturgicalColor(color) {
+    if (!color) return null;
+    const key = String(color).trim().toLowerCase().replace(/^(bg|text)-lit-/, '');
+    const resolved = LITURGICAL_COLOR_ALIASES[key] || key;
+    return LITURGICAL_COLORS[resolved] ? resolved : null;
+}
+
+// Danh sách màu thay thế đã chuẩn hoá (bỏ màu lạ, trùng màu chính hoặc trùng nhau)
+function normalizeColorAlternatives(altColors, color) {
+    const primary = normalizeLiturgicalColor(color);
+    const result = [];
+    (Array.isArray(altColors) ? altColors : []).forEach(c => {
+        const key = normalizeLiturgicalColor(c);
+        if (key && key !== primary && !result.includes(key)) result.push(key);
+    });
+    return result;
+}
+
+// Chúa Nhật Gaudete / Laetare: tên truyền thống, màu hồng (vẫn được dùng màu tím)
+const ROSE_SUNDAYS = {
+    gaudete: { litKey: 'gaudeteSunday', name: 'Chúa Nhật III Mùa Vọng (Gaudete)', color: 'rose', altColors: ['purple'] },
+    laetare: { litKey: 'laetareSunday', name: 'Chúa Nhật IV Mùa Chay (Laetare)', color: 'rose', altColors: ['purple'] }
+};
+
+// { id, name, color, altColors } nếu date là Chúa Nhật Gaudete / Laetare, ngược lại null
+function getRoseSunday(date, litData) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const id = Object.keys(ROSE_SUNDAYS).find(key => {
+        const sunday = litData[ROSE_SUNDAYS[key].litKey];
+        return sunday && t(sunday) === t(date);
+    });
+    return id ? { id, ...ROSE_SUNDAYS[id] } : null;
+}
+
+// Sử dụng object thuần thay vì mảng để làm lookup map
+// BASE_FIXED_DATA_LOOKUP: dữ liệu gốc từ SAINTS_DATA (lịch Việt Nam)
+// FIXED_DATA_LOOKUP: bản đang dùng = gốc + lễ riêng của hồ sơ lịch + lịch riêng giáo phận/giáo xứ
+// (xem rebuildFixedDataLookup)
+// Mỗi dòng có thể có hiệu lực theo năm (from/to, tính cả hai đầu). Ngày có nhiều phiên bản
+// (đổi bậc lễ, thêm thánh) giữ phiên bản mới nhất kèm danh sách versions; đọc qua getFixedCelebration.
+// Mỗi mục lookup: { name (tên hiển thị ghép), rank, type, color, celebrations: [cử hành có cấu trúc] }
+const BASE_FIXED_DATA_LOOKUP = {};
+const FIXED_DATA_LOOKUP = {};
+
+const SAINT_TYPE_RANKS = { S: 'TRONG', F: 'KINH', M: 'NHO', O: 'NHOKB' };
+const SAINT_RANK_ORDER = { TRONG: 4, KINH: 3, NHO: 2, NHOKB: 1 };
+// Mã màu áo lễ kiểu cũ (chasuble) của các dòng khai báo bằng chuỗi feast (lịch riêng).
+// 'Tm': tím hoặc đen (lễ cầu cho người qua đời)
+const CHASUBLE_COLORS = { 'Tr': 'white', 'Đ': 'red', 'T': 'purple', 'Tm': 'purple', 'X': 'green', 'H': 'rose' };
+const CHASUBLE_ALT_COLORS = { 'Tm': ['black'] };
+
+// Khoá "tháng-ngày" từ 'DD/MM' (hoặc 'DD-MM') của SAINTS_DATA
+function saintDateKey(date) {
+    const parts = date.includes('/') ? date.split('/') : date.split('-');
+    return `${parseInt(parts[1], 10)}-${parseInt(parts[0], 10)}`;
+}
+
+// Một dòng SAINTS_DATA (hoặc cử hành lịch riêng) → cử hành có cấu trúc.
+// Dòng kiểu cũ { feast, chasuble } được giữ nguyên tên.
+function toSaintCelebration(item) {
+    const celebration = {
+        name: item.name || item.feast,
+        titles: item.titles ? item.titles.slice() : [],
+        categories: item.categories ? item.categories.slice() : [],
+        type: item.type,
+        rank: SAINT_TYPE_RANKS[item.type] || 'NHOKB',
+        color: normalizeLiturgicalColor(item.color) || CHASUBLE_COLORS[item.chasuble] || 'white'
+    };
+    const altColors = normalizeColorAlternatives(item.altColors || CHASUBLE_ALT_COLORS[item.chasuble], celebration.color);
+    if (altColors.length > 0) celebration.altColors = altColors;
+    // Tên hiển thị: "Tên, tước hiệu, tước hiệu."
+    celebration.title = item.name ? `${[item.name].concat(celebration.titles).join(', ')}.` : item.feast;
+    if (item.note) celebration.note = item.note;
+    return celebration;
+}
+
+// Ghép các cử hành cùng ngày thành một mục FIXED_DATA_LOOKUP (bậc lễ, màu theo cử hành cao nhất)
+function saintLookupEntry(celebrations) {
+    const principal = celebrations.reduce((best, c) =>
+        SAINT_RANK_ORDER[c.rank] > SAINT_RANK_ORDER[best.rank] ? c : best);
+    return {
+        name: celebrations.map(c => c.title).join(' '),
+        rank: principal.rank,
+        type: principal.type,
+        color: principal.color,
+        ...(principal.altColors ? { altColors: principal.altColors } : {}),
+        celebrations: celebrations
+    };
+}
+
+// Chuyển một dòng đơn lẻ (SAINTS_DATA hoặc lịch riêng) sang format FIXED_DATA_LOOKUP
+function saintEntryToLookup(item) {
+    const entry = saintLookupEntry([toSaintCelebration(item)]);
+    if (item.from != null) entry.from = item.from;
+    if (item.to != null) entry.to = item.to;
+    return entry;
+}
+
+// Các dòng của một ngày → các phiên bản theo khoảng năm (mỗi khoảng có cùng danh sách cử hành),
+// cũ nhất trước. Khoảng không có cử hành nào bị bỏ.
+function buildSaintVersions(items) {
+    const cuts = new Set();
+    items.forEach(item => {
+        if (item.from != null) cuts.add(item.from);
+        if (item.to != null) cuts.add(item.to + 1);
+    });
+    const starts = [-Infinity].concat([...cuts].sort((a, b) => a - b));
+    const versions = [];
+    starts.forEach((start, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1] - 1 : Infinity;
+        const year = start === -Infinity ? end : start;
+        const active = items.filter(item => isEffectiveInYear(item, year));
+        if (active.length === 0) return;
+        const entry = saintLookupEntry(active.map(toSaintCelebration));
+        if (start !== -Infinity) entry.from = start;
+        if (end !== Infinity) entry.to = end;
+        versions.push(entry);
+    });
+    return versions;
+}
+
+// Các lễ nhớ tùy chọn của một cử hành cố định; từ 2 trở lên là các lựa chọn để chọn một
+function getOptionalMemorialChoices(saint) {
+    if (!saint || saint.rank !== 'NHOKB' || !Array.isArray(saint.celebrations)) return [];
+    return saint.celebrations.filter(c => c.rank === 'NHOKB');
+}
+
+// Dòng lịch có hiệu lực trong năm year không (from/to: năm dương lịch, thiếu = không giới hạn)
+function isEffectiveInYear(item, year) {
+    return (item.from == null || year >= item.from) && (item.to == null || year <= item.to);
+}
+
+// Cử hành cố định của ngày "tháng-ngày" theo lịch có hiệu lực trong năm year (null = không có)
+function getFixedCelebration(key, year) {
+    const entry = FIXED_DATA_LOOKUP[key];
+    if (!entry) return null;
+    const versions = entry.versions || [entry];
+    return versions.find(v => isEffectiveInYear(v, year)) || null;
+}
+
+const SAINT_ITEMS_BY_KEY = {};
+SAINTS_DATA.forEach(item => {
+    const key = saintDateKey(item.date);
+    if (FEASTS_ONLY_IN_LITDATA[key]) return; // Bỏ qua, đã xử lý trong getLiturgicalData
+    (SAINT_ITEMS_BY_KEY[key] = SAINT_ITEMS_BY_KEY[key] || []).push(item);
+});
+Object.keys(SAINT_ITEMS_BY_KEY).forEach(key => {
+    // Nhiều phiên bản cho cùng một ngày: mới nhất (from lớn nhất) đứng đầu
+    const versions = buildSaintVersions(SAINT_ITEMS_BY_KEY[key]).reverse();
+    BASE_FIXED_DATA_LOOKUP[key] = versions.length > 1 ? { ...versions[0], versions: versions } : versions[0];
+});
+
+// ============================================================================
+// HỒ SƠ LỊCH QUỐC GIA / KHU VỰC (Calendar profiles)
+// Mỗi Hội Đồng Giám Mục ấn định việc dời một số lễ, lễ buộc và lễ riêng.
+// rules:
+//   ascension: 'sunday' (Chúa Nhật VII Phục Sinh) | 'thursday' (Phục Sinh + 39 ngày)
+//   epiphany: 'sunday' (Chúa Nhật từ 2 đến 8/1) | 'jan6'
+//   vietnameseMartyrs: true = Lễ Trọng vào Chúa Nhật trước lễ Chúa Kitô Vua
+//   rosarySunday: true = kính trọng thể Đức Mẹ Mân Côi vào Chúa Nhật đầu tháng 10
+//   ashWednesdayTet: true = dời cử hành Lễ Tro sang Mùng 4 khi trùng Tết
+// holyDays: lễ buộc ngoài Chúa Nhật (format như LITURGICAL_DISCIPLINE.HOLY_DAYS_VN)
+// nationalFeasts: lễ riêng / đổi bậc lễ, key "tháng-ngày" như FIXED_DATA_LOOKUP
+//   readings: mã bài đọc riêng trong READINGS_SPECIAL (7DDMM + mã hồ sơ khi trùng ngày lễ chung khác)
+//   displacedTo: "tháng-ngày" - lễ chung bị lễ riêng thay được dời sang ngày này (thay vì bị bỏ)
+// ============================================================================
+
+// Ngoài Việt Nam: Các Thánh Tử Đạo Việt Nam là lễ nhớ ngày 24/11 (lịch Rôma chung)
+const VIETNAMESE_MARTYRS_MEMORIAL = {
+    '11-24': { name: 'Thánh Anrê Dũng-Lạc, linh mục, và các bạn tử đạo Việt Nam.', rank: 'NHO', color: 'red', readings: '72411' }
+};
+
+const CALENDAR_PROFILES = {
+    vn: {
+        id: 'vn',
+        name: 'Việt Nam (HĐGMVN)',
+        rules: { ascension: 'sunday', epiphany: 'sunday', vietnameseMartyrs: true, rosarySunday: true, ashWednesdayTet: true },
+        holyDays: LITURGICAL_DISCIPLINE.HOLY_DAYS_VN,
+        nationalFeasts: {}
+    },
+    us: {
+        id: 'us',
+        name: 'Hoa Kỳ (USCCB)',
+        rules: { ascension: 'sunday', epiphany: 'sunday', vietnameseMartyrs: false, rosarySunday: false, ashWednesdayTet: false },
+        holyDays: [
+            // Lễ buộc được miễn khi 1/1, 15/8, 1/11 rơi vào Thứ Bảy hoặc Thứ Hai
+            { month: 0, day: 1, name: "Đức Maria Mẹ Thiên Chúa", obligation: true, exceptWeekdays: [1, 6] },
+            { movable: "ascension", name: "Lễ Thăng Thiên", obligation: true },
+            { month: 7, day: 15, name: "Đức Mẹ Hồn Xác Lên Trời", obligation: true, exceptWeekdays: [1, 6] },
+            { month: 10, day: 1, name: "Lễ Các Thánh", obligation: true, exceptWeekdays: [1, 6] },
+            { month: 11, day: 8, name: "Đức Mẹ Vô Nhiễm Nguyên Tội", obligation: true },
+            { month: 11, day: 25, name: "Lễ Giáng Sinh", obligation: true }
+        ],
+        nationalFeasts: {
+            ...VIETNAMESE_MARTYRS_MEMORIAL,
+            // Thánh Camillô Lellis dời sang 18/7
+            '7-14': { name: 'Thánh Kateri Tekakwitha, trinh nữ.', rank: 'NHO', color: 'white', readings: '71407US', displacedTo: '7-18' },
+            '12-12': { name: 'ĐỨC MẸ GUAĐALUPÊ, Bổn mạng châu Mỹ.', rank: 'KINH', color: 'white', readings: '71212US' }
+        }
+    },
+    au: {
+        id: 'au',
+        name: 'Úc (ACBC)',
+        rules: { ascension: 'sunday', epiphany: 'sunday', vietnameseMartyrs: false, rosarySunday: false, ashWednesdayTet: false },
+        holyDays: [
+            { month: 7, day: 15, name: "Đức Mẹ Hồn Xác Lên Trời", obligation: true },
+            { month: 11, day: 25, name: "Lễ Giáng Sinh", obligation: true }
+        ],
+        nationalFeasts: {
+            ...VIETNAMESE_MARTYRS_MEMORIAL,
+            '5-24': { name: 'ĐỨC MẸ PHÙ HỘ CÁC GIÁO HỮU, Bổn mạng nước Úc.', rank: 'TRONG', color: 'white', readings: '72405AU' },
+            // Thánh Đa Minh dời sang 7/8
+            '8-8': { name: 'THÁNH MARIA THÁNH GIÁ MACKILLOP, TRINH NỮ.', rank: 'KINH', color: 'white', readings: '70808AU', displacedTo: '8-7' }
+        }
+    },
+    fr: {
+        id: 'fr',
+        name: 'Pháp (CEF)',
+        rules: { ascension: 'thursday', epiphany: 'sunday', vietnameseMartyrs: false, rosarySunday: false, ashWednesdayTet: false },
+        holyDays: [
+            { movable: "ascension", name: "Lễ Thăng Thiên", obligation: true },
+            { month: 7, day: 15, name: "Đức Mẹ Hồn Xác Lên Trời", obligation: true },
+            { month: 10, day: 1, name: "Lễ Các Thánh", obligation: true },
+            { month: 11, day: 25, name: "Lễ Giáng Sinh", obligation: true }
+        ],
+        nationalFeasts: {
+            ...VIETNAMESE_MARTYRS_MEMORIAL,
+            '5-30': { name: 'Thánh Gioanna Arc, trinh nữ.', rank: 'NHO', color: 'white', readings: '73005FR' }
+        }
+    },
+    roman: {
+        id: 'roman',
+        name: 'Lịch Rôma chung',
+        rules: { ascension: 'thursday', epiphany: 'jan6', vietnameseMartyrs: false, rosarySunday: false, ashWednesdayTet: false },
+        // Giáo luật 1246 §1
+        holyDays: [
+            { month: 0, day: 1, name: "Đức Maria Mẹ Thiên Chúa", obligation: true },
+            { movable: "epiphany", name: "Lễ Hiển Linh", obligation: true },
+            { movable: "stJoseph", name: "Thánh Giuse", obligation: true },
+            { movable: "ascension", name: "Lễ Thăng Thiên", obligation: true },
+            { movable: "corpusChristi", name: "Mình Máu Thánh Chúa", obligation: true },
+            { month: 5, day: 29, name: "Thánh Phêrô và Phaolô", obligation: true },
+            { month: 7, day: 15, name: "Đức Mẹ Hồn Xác Lên Trời", obligation: true },
+            { month: 10, day: 1, name: "Lễ Các Thánh", obligation: true },
+            { movable: "immConception", name: "Đức Mẹ Vô Nhiễm Nguyên Tội", obligation: true },
+            { month: 11, day: 25, name: "Lễ Giáng Sinh", obligation: true }
+        ],
+        nationalFeasts: { ...VIETNAMESE_MARTYRS_MEMORIAL }
+    }
+};
+
+const DEFAULT_CALENDAR_PROFILE = 'vn';
+let activeCalendarProfile = CALENDAR_PROFILES[DEFAULT_CALENDAR_PROFILE];
+
+function getCalendarProfile() {
+    return activeCalendarProfile;
+}
+
+function listCalendarProfiles() {
+    return Object.values(CALENDAR_PROFILES).map(p => ({ id: p.id, name: p.name, rules: { ...p.rules } }));
+}
+
+// Dựng lại FIXED_DATA_LOOKUP = dữ liệu gốc + lễ riêng của hồ sơ + lịch riêng đang bật
+function rebuildFixedDataLookup() {
+    Object.keys(FIXED_DATA_LOOKUP).forEach(key => delete FIXED_DATA_LOOKUP[key]);
+    Object.assign(FIXED_DATA_LOOKUP, BASE_FIXED_DATA_LOOKUP);
+    applyNationalFeasts(FIXED_DATA_LOOKUP, activeCalendarProfile.nationalFeasts);
+    applyCalendarOverlays(FIXED_DATA_LOOKUP);
+}
+
+// Đưa lễ riêng của hồ sơ vào lookup. Lễ chung bị thay có displacedTo thì được dời sang ngày đó,
+// chỉ thay lễ đã có ở ngày mới khi bậc cao hơn (như lịch riêng)
+function applyNationalFeasts(lookup, feasts) {
+    const displaced = [];
+    Object.keys(feasts).forEach(key => {
+        const { readings, displacedTo, ...entry } = feasts[key];
+        if (readings) entry.readingCode = String(readings);
+        if (displacedTo && BASE_FIXED_DATA_LOOKUP[key]) {
+            displaced.push({ key: displacedTo, entry: BASE_FIXED_DATA_LOOKUP[key] });
+        }
+        lookup[key] = entry;
+    });
+    displaced.forEach(({ key, entry }) => {
+        const existing = lookup[key];
+        if (existing && SAINT_RANK_ORDER[existing.rank] >= SAINT_RANK_ORDER[entry.rank]) return;
+        lookup[key] = entry;
+    });
+}
+
+// Đổi hồ sơ lịch. Cache litData/dayInfo có khoá theo hồ sơ nên không cần xoá.
+function setCalendarProfile(id) {
+    const profile = CALENDAR_PROFILES[id];
+    if (!profile) {
+        throw new RangeError(`Không có hồ sơ lịch: ${id} (${Object.keys(CALENDAR_PROFILES).join(', ')})`);
+    }
+    if (profile !== activeCalendarProfile) {
+        activeCalendarProfile = profile;
+        rebuildFixedDataLookup();
+    }
+    return profile;
+}
+
+// Chạy fn với một hồ sơ lịch rồi trả lại hồ sơ cũ (dùng cho API nhận ?profile=)
+function withCalendarProfile(id, fn) {
+    const previous = activeCalendarProfile.id;
+    setCalendarProfile(id || previous);
+    try {
+        return fn();
+    } finally {
+        setCalendarProfile(previous);
+    }
+}
+
+// ============================================================================
+// LỊCH RIÊNG GIÁO PHẬN / GIÁO XỨ (Proper calendar overlays)
+// Mỗi overlay khai báo các cử hành riêng cùng format SAINTS_DATA:
+//   { id, name, type: 'diocese' | 'parish', parent?: id giáo phận,
+//     celebrations: [{ date: 'DD/MM', type: 'S'|'F'|'M'|'O', name, titles?, categories?, color, kind?, readings? }] }
+// (dòng kiểu cũ { feast, chasuble } vẫn được nhận)
+// kind: 'patron' (bổn mạng chính), 'titular' (tước hiệu nhà thờ chính tòa / giáo xứ),
+//       'dedication' (kỷ niệm cung hiến), 'memorial' (lễ nhớ địa phương)
+// readings: mã bài đọc dùng khi cử hành riêng thắng (mặc định 7DDMM như lễ thánh)
+// Cử hành riêng được đưa vào FIXED_DATA_LOOKUP nên đi qua cùng Precedence Engine và luật dời lễ.
+// Dữ liệu mặc định: PROPER_CALENDARS (Reading/properCalendars.js).
+// ============================================================================
+
+const CALENDAR_OVERLAYS = {};
+let activeCalendarOverlayIds = [];
+
+function registerCalendarOverlay(overlay) {
+    if (!overlay || typeof overlay.id !== 'string' || !overlay.id) {
+        throw new TypeError('Lịch riêng cần có id');
+    }
+    if (!Array.isArray(overlay.celebrations)) {
+        throw new TypeError(`Lịch riêng ${overlay.id}: thiếu danh sách celebrations`);
+    }
+    overlay.celebrations.forEach(c => {
+        if (!/^\d{1,2}[/-]\d{1,2}$/.test(c.date || '') || !['S', 'F', 'M', 'O'].includes(c.type) || !(c.name || c.feast)) {
+            throw new TypeError(`Lịch riêng ${overlay.id}: cử hành không hợp lệ ${JSON.stringify(c)}`);
+        }
+    });
+    CALENDAR_OVERLAYS[overlay.id] = {
+        id: overlay.id,
+        name: overlay.name || overlay.id,
+        type: overlay.type || 'diocese',
+        parent: overlay.parent || null,
+        celebrations: overlay.celebrations.slice()
+    };
+    return CALENDAR_OVERLAYS[overlay.id];
+}
+
+function listCalendarOverlays() {
+    return Object.values(CALENDAR_OVERLAYS).map(o => ({
+        id: o.id, name: o.name, type: o.type, parent: o.parent, celebrations: o.celebrations.length
+    }));
+}
+
+function getCalendarOverlays() {
+    return activeCalendarOverlayIds.slice();
+}
+
+// Bật các lịch riêng (giáo xứ kéo theo giáo phận của mình). Giáo phận áp dụng trước, giáo xứ sau.
+function setCalendarOverlays(ids = []) {
+    const resolved = [];
+    const add = (id, chain = []) => {
+        const overlay = CALENDAR_OVERLAYS[id];
+        if (!overlay) {
+            throw new RangeError(`Không có lịch riêng: ${id}`);
+        }
+        if (chain.includes(id)) return;
+        if (overlay.parent) add(overlay.parent, chain.concat(id));
+        if (!resolved.includes(id)) resolved.push(id);
+    };
+    (Array.isArray(ids) ? ids : [ids]).filter(Boolean).forEach(id => add(id));
+    activeCalendarOverlayIds = resolved;
+    rebuildFixedDataLookup();
+    return getCalendarOverlays();
+}
+
+// Chạy fn với một bộ lịch riêng rồi trả lại bộ cũ (null = giữ nguyên)
+function withCalendarOverlays(ids, fn) {
+    if (ids === null || ids === undefined) return fn();
+    const previous = getCalendarOverlays();
+    setCalendarOverlays(ids);
+    try {
+        return fn();
+    } finally {
+        setCalendarOverlays(previous);
+    }
+}
+
+// Đưa cử hành riêng vào lookup: chỉ thay lễ chung khi bậc lễ riêng >= bậc lễ chung
+function applyCalendarOverlays(lookup) {
+    activeCalendarOverlayIds.forEach(id => {
+        const overlay = CALENDAR_OVERLAYS[id];
+        overlay.celebrations.forEach(c => {
+            const key = saintDateKey(c.date);
+            const entry = saintEntryToLookup(c);
+            const existing = lookup[key];
+            if (existing && SAINT_RANK_ORDER[existing.rank] > SAINT_RANK_ORDER[entry.rank]) return;
+            entry.proper = { overlay: overlay.id, name: overlay.name, kind: c.kind || null };
+            if (c.readings) entry.readingCode = String(c.readings);
+            lookup[key] = entry;
+        });
+    });
+}
+
+// Khoá cache cho dayInfo: hồ sơ lịch + lịch riêng đang bật
+function getCalendarContextKey() {
+    return [activeCalendarProfile.id].concat(activeCalendarOverlayIds).join('+');
+}
+
+if (typeof PROPER_CALENDARS !== 'undefined' && Array.isArray(PROPER_CALENDARS)) {
+    PROPER_CALENDARS.forEach(registerCalendarOverlay);
+}
+
+rebuildFixedDataLookup();
+
+const MONTHS_VI = ["Tháng 1", "Tháng 2", "Tháng 3", "Tháng 4", "Tháng 5", "Tháng 6", "Tháng 7", "Tháng 8", "Tháng 9", "Tháng 10", "Tháng 11", "Tháng 12"];
+const DAYS_VI = ["CN", "T2", "T3", "T4", "T5", "T6", "T7"];
+const DAYS_FULL_VI = ["Chúa Nhật", "Thứ Hai", "Thứ Ba", "Thứ Tư", "Thứ Năm", "Thứ Sáu", "Thứ Bảy"];
+
+// --- CORE FUNCTIONS ---
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+function toRoman(num) {
+    const roman = { M: 1000, CM: 900, D: 500, CD: 400, C: 100, XC: 90, L: 50, XL: 40, X: 10, IX: 9, V: 5, IV: 4, I: 1 };
+    let str = '';
+    for (let i of Object.keys(roman)) {
+        let q = Math.floor(num / roman[i]);
+        num -= q * roman[i];
+        str += i.repeat(q);
+    }
+    return str;
+}
+
+function getSanctoralDayCode(date) {
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    return `7${day}${month}`;
+}
+function getSpecialFeastCode(date, litData) {
+    // Trả về mã 8DDMM để tìm bài đọc tùy chọn trong Optionsaint.js
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    return `8${day}${month}`;
+}
+
+// --- LITURGICAL CALCULATION LOGIC ---
+function getEasterDate(year) {
+    const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+    const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+}
+
+// Hiệu lực của các cử hành di động mới trong Lịch Rôma chung (from/to như SAINTS_DATA).
+// Ngoài khoảng hiệu lực, litData[key] = null.
+const MOVABLE_EFFECTIVE = {
+    divineMercy: { from: 2000 },      // Chúa Nhật Lòng Chúa Thương Xót (sắc lệnh 05/05/2000)
+    maryMotherChurch: { from: 2018 }  // Đức Maria Mẹ Hội Thánh (sắc lệnh 11/02/2018)
+};
+
+function getLiturgicalData(year) {
+    // Kiểm tra cache trước
+    const profile = getCalendarProfile();
+    // Bảng dời lễ phụ thuộc cả lịch riêng (FIXED_DATA_LOOKUP) → khoá theo hồ sơ + lịch riêng
+    const cacheKey = `litData_${getCalendarContextKey()}_${year}`;
+    const cached = CACHE.get('liturgicalData', cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const easter = getEasterDate(year);
+    const ashWednesday = addDays(easter, -46); // Ngày Lễ Tro theo phụng vụ (bắt đầu Mùa Chay)
+    const palmSunday = addDays(easter, -7);
+    const goodFriday = addDays(easter, -2);
+    // Lễ Thăng Thiên tại Việt Nam thường được cử hành vào Chúa Nhật VII Phục Sinh
+    // (Easter + 42 ngày), theo quyền ấn định của HĐGM. Hồ sơ 'thursday': Phục Sinh + 39.
+    const ascension = addDays(easter, profile.rules.ascension === 'thursday' ? 39 : 42);
+    const pentecost = addDays(easter, 49);
+    const christmas = new Date(year, 11, 25);
+
+    const christmasDay = christmas.getDay();
+    let daysToSubstract = christmasDay === 0 ? 7 : christmasDay;
+    const fourthSundayAdvent = addDays(christmas, -daysToSubstract);
+    const adventStart = addDays(fourthSundayAdvent, -21);
+    const christKing = addDays(adventStart, -7);
+
+    const jan1 = new Date(year, 0, 1);
+    const firstSundayJan = new Date(year, 0, 1 + (7 - jan1.getDay()) % 7);
+    let epiphany = firstSundayJan.getDate() === 1 ? new Date(year, 0, 8) : firstSundayJan;
+    let baptismLord = addDays(epiphany, epiphany.getDate() >= 7 ? 1 : 7);
+    if (epiphany.getDate() === 7 || epiphany.getDate() === 8) baptismLord = addDays(epiphany, 1);
+    if (profile.rules.epiphany === 'jan6') {
+        // Hiển Linh cố định 6/1, Phép Rửa vào Chúa Nhật kế tiếp
+        epiphany = new Date(year, 0, 6);
+        baptismLord = addDays(epiphany, 7 - epiphany.getDay());
+    }
+
+    // null khi hồ sơ lịch không dời lễ (giữ ngày cố định trong FIXED_DATA_LOOKUP)
+    const vietnameseMartyrs = profile.rules.vietnameseMartyrs ? addDays(christKing, -7) : null;
+    const oct31 = new Date(year, 9, 31);
+    const lastSundayOct = addDays(oct31, -oct31.getDay());
+    const missionSunday = addDays(lastSundayOct, -7);
+    const oct1 = new Date(year, 9, 1);
+    const rosarySunday = profile.rules.rosarySunday ? new Date(year, 9, 1 + (7 - oct1.getDay()) % 7) : null;
+
+    // ============================================================================
+    // QUY LUẬT DỜI LỄ TRO TẠI VIỆT NAM (Theo HĐGMVN)
+    // Nếu Lễ Tro trùng với Tết (Mùng 1, 2, 3), việc cử hành và ăn chay kiêng thịt
+    // được dời sang Mùng 4 Tết. Tuy nhiên, Mùa Chay vẫn bắt đầu từ Thứ Tư Lễ Tro
+    // ban đầu (không hát/đọc Alleluia từ ngày đó).
+    // ============================================================================
+    let ashWednesdayCelebration = ashWednesday; // Ngày cử hành Lễ Tro thực tế
+    let ashWednesdayTransferred = false;
+    let ashWednesdayTransferNote = null;
+
+    // Kiểm tra xem Lễ Tro có trùng Tết không
+    const ashLunar = LUNAR_CALENDAR.getLunarDate(ashWednesday);
+    if (profile.rules.ashWednesdayTet && ashLunar.month === 1 && !ashLunar.leap && ashLunar.day >= 1 && ashLunar.day <= 3) {
+        // Lễ Tro trùng với Mùng 1, 2 hoặc 3 Tết
+        // Dời cử hành sang Mùng 4 Tết
+        const daysToMung4 = 4 - ashLunar.day;
+        ashWednesdayCelebration = addDays(ashWednesday, daysToMung4);
+        ashWednesdayTransferred = true;
+        ashWednesdayTransferNote = `Theo HĐGMVN: Lễ Tro (${ashWednesday.getDate()}/${ashWednesday.getMonth() + 1}) trùng Mùng ${ashLunar.day} Tết, việc cử hành và ăn chay kiêng thịt được dời sang Mùng 4 Tết (${ashWednesdayCelebration.getDate()}/${ashWednesdayCelebration.getMonth() + 1}). Mùa Chay vẫn bắt đầu từ ${ashWednesday.getDate()}/${ashWednesday.getMonth() + 1}.`;
+    }
+
+    // ============================================================================
+    // CÁC LỄ SAU HIỆN XUỐNG
+    // ============================================================================
+    const trinity = addDays(pentecost, 7);      // Chúa Nhật sau Hiện Xuống - Lễ Chúa Ba Ngôi
+    const corpusChristi = addDays(trinity, 7);  // Chúa Nhật sau Ba Ngôi - Lễ Mình Máu Thánh Chúa
+    const sacredHeart = addDays(corpusChristi, 5); // Thứ Sáu sau Mình Máu - Lễ Thánh Tâm
+    const immaculateHeart = addDays(sacredHeart, 1); // Thứ Bảy sau Thánh Tâm - Trái Tim Vô Nhiễm Mẹ
+    const maryMotherChurch = addDays(pentecost, 1); // Thứ Hai sau Hiện Xuống - Đức Maria Mẹ Hội Thánh
+
+    // ============================================================================
+    // THÁNH GIA & LÒNG CHÚA THƯƠNG XÓT
+    // ============================================================================
+    // Thánh Gia: Chúa Nhật trong Bát Nhật Giáng Sinh (26-31/12); nếu Giáng Sinh là Chúa Nhật thì 30/12
+    const holyFamily = christmasDay === 0 ? new Date(year, 11, 30) : addDays(christmas, 7 - christmasDay);
+    const divineMercy = addDays(easter, 7); // Chúa Nhật II Phục Sinh - Lòng Chúa Thương Xót
+
+    // Chúa Nhật được dùng màu hồng: III Mùa Vọng (Gaudete) và IV Mùa Chay (Laetare)
+    const gaudeteSunday = addDays(adventStart, 14);
+    const laetareSunday = addDays(easter, -21);
+
+    const result = {
+        easter, ashWednesday, palmSunday, goodFriday, ascension, pentecost,
+        adventStart, christKing, christmas, epiphany, baptismLord,
+        vietnameseMartyrs, missionSunday, rosarySunday,
+        // Các lễ sau Hiện Xuống
+        trinity, corpusChristi, sacredHeart, immaculateHeart, maryMotherChurch,
+        holyFamily, divineMercy, gaudeteSunday, laetareSunday,
+        // Thông tin dời Lễ Tro
+        ashWednesdayCelebration,
+        ashWednesdayTransferred,
+        ashWednesdayTransferNote,
+        profile: profile.id
+    };
+
+    // Cử hành di động chưa có (hoặc không còn) trong lịch của năm
+    Object.keys(MOVABLE_EFFECTIVE).forEach(key => {
+        if (!isEffectiveInYear(MOVABLE_EFFECTIVE[key], year)) result[key] = null;
+    });
+
+    // Dời lễ theo bảng luật (TRANSFER_RULES): tính một lần cho cả năm.
+    // annunciation, stJoseph, immConception = ngày cử hành thực tế (sau khi dời nếu có)
+    Object.assign(result, buildTransferMap(year, result));
+    LITDATA_SOLEMNITIES.forEach(s => {
+        const transfer = result.transfers.find(tr => tr.key === s.key);
+        result[s.key] = transfer ? transfer.date : new Date(year, s.month, s.day);
+    });
+
+    // Lưu vào cache
+    CACHE.set('liturgicalData', cacheKey, result);
+
+    return result;
+}
+
+function getLiturgicalDayCode(date, litData, options = {}) {
+    const includeSanctoral = options.includeSanctoral !== false;
+    // includeTet: false - bỏ qua mã Tết (7000D) để xác định mùa phụng vụ của ngày
+    const includeTet = options.includeTet !== false;
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const ONE_WEEK = 7 * 24 * 60 * 60 * 1000;
+    const getSunday = (d) => { const c = new Date(d); c.setHours(0, 0, 0, 0); c.setDate(c.getDate() - c.getDay()); return c; }
+    const prevSunday = (d) => getSunday(d);
+    const currentSun = getSunday(date);
+    const dayOfWeek = date.getDay(); // 0=CN, 1=T2, ..., 6=T7
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+    // ===== ƯU TIÊN 1: Tết Nguyên Đán (7000D) =====
+    // Chỉ khi chính sách xung đột Tết cho cử hành Thánh lễ Tết (xem TET_CONFLICT_POLICIES)
+    const tetDay = typeof LUNAR_CALENDAR !== 'undefined' ? LUNAR_CALENDAR.isTetDay(date) : 0;
+    if (includeTet && tetDay > 0 && tetDay <= 3) {
+        const tetResolution = getTetResolution(date, litData);
+        if (tetResolution && tetResolution.celebrate) {
+            return `7000${tetDay}`;
+        }
+    }
+
+    // ===== ƯU TIÊN 2: Các lễ di động đặc biệt liên quan đến Giáng Sinh =====
+
+    // 2010: Lễ Thánh Gia (Chúa Nhật trong Bát Nhật hoặc 30/12) - PHẢI ưu tiên trước 2DDMM
+    if (litData.holyFamily && dTime === t(litData.holyFamily)) {
+        return "2010";
+    }
+
+    // 2030: Lễ Hiển Linh (quy ước riêng) - PHẢI ưu tiên trước 2DDMM
+    if (litData.epiphany && dTime === t(litData.epiphany)) {
+        return "2030";
+    }
+
+    // 6001-6006: Các ngày sau lễ Hiển Linh (trước Chúa Giêsu Chịu Phép Rửa)
+    // PHẢI ưu tiên trước 2DDMM
+    if (litData.epiphany && litData.baptismLord &&
+        dTime > t(litData.epiphany) && dTime < t(litData.baptismLord)) {
+        const daysAfterEpiphany = Math.floor((dTime - t(litData.epiphany)) / (24 * 60 * 60 * 1000));
+        if (daysAfterEpiphany >= 1 && daysAfterEpiphany <= 6) {
+            return `600${daysAfterEpiphany}`;
+        }
+        // Nếu quá 6 ngày, fallback về 2DDMM (chỉ khi rơi vào 17/12-01/01)
+        if ((date.getMonth() === 11 && date.getDate() >= 17) ||
+            (date.getMonth() === 0 && date.getDate() <= 1)) {
+            return `2${day}${month}`;
+        }
+    }
+
+    // ===== ƯU TIÊN 3: Mùa Giáng Sinh & Cuối Mùa Vọng (2DDMM) =====
+    // 17/12 đến trước lễ Hiển Linh: Tuần chuẩn bị Giáng Sinh + Bát Nhật + các ngày đầu tháng 1
+    // Phải ưu tiên TRƯỚC Sanctoral để tránh bị ghi đè
+    // Lưu ý: Lễ Hiển Linh (2030) và các ngày sau (6001-6006) đã được xử lý ở trên
+    if (date.getMonth() === 11) {
+        // 25-31/12: Bát nhật Giáng Sinh, luôn dùng 2DDMM (kể cả Chúa Nhật)
+        if (date.getDate() >= 25) {
+            return `2${day}${month}`;
+        }
+        // 17-24/12: ngày thường dùng 2DDMM, Chúa Nhật vẫn là Chúa Nhật Mùa Vọng
+        if (date.getDate() >= 17) {
+            if (dayOfWeek !== 0) {
+                return `2${day}${month}`;
+            }
+        }
+    }
+    if (date.getMonth() === 0) {
+        // Trước lễ Hiển Linh thì vẫn dùng mã 2DDMM
+        if (litData.epiphany && dTime < t(litData.epiphany)) {
+            return `2${day}${month}`;
+        }
+        // Fallback an toàn nếu không có epiphany
+        if (!litData.epiphany && date.getDate() <= 1) {
+            return `2${day}${month}`;
+        }
+    }
+
+    // ===== ƯU TIÊN 4: Sanctoral (7DDMM) =====
+    // Mã theo ngày-tháng cho các lễ thánh cố định
+    // Chỉ ưu tiên khi KHÔNG rơi vào các mùa đặc biệt (đã xử lý ở trên)
+    const code7DDMM = `7${day}${month}`;
+    // FIXED_DATA_LOOKUP dùng key format "month-day" (ví dụ "8-15" cho 15/08)
+    const fixedKey = `${parseInt(month)}-${parseInt(day)}`;
+    if (includeSanctoral) {
+        // Bảng dời lễ: Lễ Trọng dời đến ngày này thay cho lễ cố định; lễ của ngày đã dời đi thì bỏ qua
+        const iso = toISODateLocal(date);
+        const transferIn = litData.transfersTo && litData.transfersTo[iso];
+        const transferredAway = litData.transfersFrom && litData.transfersFrom[iso];
+        // Kiểm tra xem có lễ thánh trọng/kính cố định không (lịch có hiệu lực trong năm)
+        const fixedSaint = getFixedCelebration(fixedKey, date.getFullYear());
+        if (transferIn || (fixedSaint && !transferredAway)) {
+            const saint = transferIn || fixedSaint;
+            const isSunday = dayOfWeek === 0;
+            const isLordFixedFeast = isLordFeast({ special: saint.name });
+            // Chỉ ưu tiên nếu là Lễ Trọng (TRONG) hoặc Lễ Kính (KINH)
+            // Chúa Nhật Thường Niên: chỉ ưu tiên Lễ Trọng hoặc Lễ Kính của Chúa
+            if (saint.rank === 'TRONG' || (saint.rank === 'KINH' && (!isSunday || isLordFixedFeast))) {
+                // Kiểm tra xem có phải lễ di động đặc biệt không (sẽ xử lý ở dưới)
+                const isSpecialFeast = (litData.epiphany && dTime === t(litData.epiphany)) ||
+                    (litData.baptismLord && dTime === t(litData.baptismLord)) ||
+                    (litData.ascension && dTime === t(litData.ascension)) ||
+                    (litData.pentecost && dTime === t(litData.pentecost)) ||
+                    (litData.trinity && dTime === t(litData.trinity)) ||
+                    (litData.corpusChristi && dTime === t(litData.corpusChristi)) ||
+                    (litData.sacredHeart && dTime === t(litData.sacredHeart)) ||
+                    (litData.immaculateHeart && dTime === t(litData.immaculateHeart));
+
+                // Kiểm tra xem có bị override bởi lễ di động không
+                const movableOverride = typeof MOVABLE_OVERRIDES_FIXED !== 'undefined' && MOVABLE_OVERRIDES_FIXED[fixedKey];
+                const isOverridden = movableOverride && litData[movableOverride] && dTime === t(litData[movableOverride]);
+
+                // Kiểm tra xem có rơi vào Mùa Vọng không (17/12-24/12 đã xử lý ở trên)
+                const isInAdvent = dTime >= t(litData.adventStart) && dTime < t(litData.christmas);
+
+                // Kiểm tra xem có rơi vào Mùa Chay hoặc Mùa Phục Sinh không
+                const isInLent = dTime >= t(litData.ashWednesday) && dTime < t(litData.easter);
+                const isInEaster = dTime >= t(litData.easter) && dTime <= t(litData.pentecost);
+
+                // Chỉ ưu tiên sanctoral nếu:
+                // - Không phải lễ di động đặc biệt
+                // - Không bị override bởi lễ di động
+                // - Không rơi vào Mùa Vọng, Mùa Chay, Mùa Phục Sinh (các mùa này có mã riêng)
+                if (!isSpecialFeast && !isOverridden && !isInAdvent && !isInLent && !isInEaster) {
+                    return transferIn ? getSanctoralDayCode(transferIn.originalDate) : code7DDMM;
+                }
+            }
+        }
+    }
+
+    // ===== ƯU TIÊN 5: Các lễ di động đặc biệt khác =====
+
+    // 5010: Chúa Giêsu Chịu Phép Rửa (Chúa Nhật I Thường Niên)
+    if (litData.baptismLord && dTime === t(litData.baptismLord)) {
+        return "5010";
+    }
+
+    // 4080: Thăng Thiên
+    if (litData.ascension && dTime === t(litData.ascension)) {
+        return "4080";
+    }
+
+    // 4089: Vọng Hiện Xuống (trước Hiện Xuống 1 ngày)
+    const pentecostVigil = addDays(litData.pentecost, -1);
+    if (dTime === t(pentecostVigil)) {
+        return "4089";
+    }
+
+    // 5001: Hiện Xuống (Pentecost Sunday)
+    if (dTime === t(litData.pentecost)) {
+        return "5001";
+    }
+
+    // 5002: Ba Ngôi (Chúa Nhật sau Hiện Xuống)
+    if (litData.trinity && dTime === t(litData.trinity)) {
+        return "5002";
+    }
+
+    // 5003: Mình Máu Thánh (Chúa Nhật sau Ba Ngôi)
+    if (litData.corpusChristi && dTime === t(litData.corpusChristi)) {
+        return "5003";
+    }
+
+    // 5004: Thánh Tâm (Thứ Sáu sau Mình Máu)
+    if (litData.sacredHeart && dTime === t(litData.sacredHeart)) {
+        return "5004";
+    }
+
+    // 8441: Trái Tim Vô Nhiễm Mẹ (Thứ Bảy sau Thánh Tâm)
+    if (litData.immaculateHeart && dTime === t(litData.immaculateHeart)) {
+        return "8441";
+    }
+
+    // 8411: Đức Maria Mẹ Hội Thánh (Thứ Hai sau Hiện Xuống)
+    if (litData.maryMotherChurch && dTime === t(litData.maryMotherChurch)) {
+        return "8411";
+    }
+
+    // ===== ƯU TIÊN 6: Mùa Chay (3) =====
+    // Cấu trúc: 3 + 0 + T (1-6) + D (0-6)
+    if (dTime >= t(litData.ashWednesday) && dTime < t(litData.easter)) {
+        // Tìm Chúa Nhật I Mùa Chay (4 ngày sau Lễ Tro ban đầu)
+        const firstSunLent = addDays(litData.ashWednesday, 4);
+        const firstSunLentDate = new Date(firstSunLent);
+        firstSunLentDate.setDate(firstSunLentDate.getDate() - firstSunLentDate.getDay());
+
+        // 3004-3007: Lễ Tro và các ngày sau (nhưng phải TRƯỚC Chúa Nhật I Mùa Chay)
+        if (dTime < t(firstSunLentDate)) {
+            if (litData.ashWednesdayTransferred) {
+                const ashCelebrationTime = t(litData.ashWednesdayCelebration);
+                // Lễ Tro bị dời
+                if (dTime === ashCelebrationTime) {
+                    return "3004";
+                }
+                // Khi có dời Lễ Tro theo quy luật Việt Nam, dãy 3004-3007
+                // bám theo ngày cử hành thực tế để nhất quán với export/test.
+                if (dTime > ashCelebrationTime) {
+                    const daysFromAsh = Math.floor((dTime - ashCelebrationTime) / (24 * 60 * 60 * 1000));
+                    if (daysFromAsh >= 1 && daysFromAsh <= 3) {
+                        return `300${4 + daysFromAsh}`;
+                    }
+                }
+            } else {
+                // Lễ Tro không bị dời
+                if (dTime >= t(litData.ashWednesday)) {
+                    const daysFromAsh = Math.floor((dTime - t(litData.ashWednesday)) / (24 * 60 * 60 * 1000));
+                    if (daysFromAsh >= 0 && daysFromAsh <= 3) {
+                        return `300${4 + daysFromAsh}`;
+                    }
+                }
+            }
+        }
+
+        // Tuần Thánh: 3060-3066
+        const holyWeekStart = addDays(litData.easter, -7);
+        if (dTime >= t(holyWeekStart)) {
+            // Tuần Thánh: Lễ Lá (CN) = 3060, Thứ 2-6 = 3061-3065, Thứ 7 = 3066
+            return `306${dayOfWeek}`;
+        }
+
+        // Các tuần Mùa Chay khác: 3010-3050
+        if (dTime >= t(firstSunLentDate)) {
+            const weekNum = Math.floor((t(prevSunday(date)) - t(firstSunLentDate)) / ONE_WEEK) + 1;
+            if (weekNum >= 1 && weekNum <= 5) {
+                return `30${weekNum}${dayOfWeek}`;
+            }
+        }
+    }
+
+    // ===== ƯU TIÊN 7: Mùa Phục Sinh (4) =====
+    // Cấu trúc: 4 + 0 + T (1-7) + D (0-6)
+    if (dTime >= t(litData.easter) && dTime <= t(litData.pentecost)) {
+        const weekNum = Math.floor((t(prevSunday(date)) - t(getSunday(litData.easter))) / ONE_WEEK) + 1;
+        if (weekNum >= 1 && weekNum <= 7) {
+            return `40${weekNum}${dayOfWeek}`;
+        }
+    }
+
+    // ===== ƯU TIÊN 8: Mùa Vọng (1) =====
+    // Cấu trúc: 1 + 0 + T (1-4) + D (0-6)
+    // Lưu ý: Từ 17/12-24/12 đã xử lý ở trên (2DDMM)
+    if (dTime >= t(litData.adventStart) && dTime < t(litData.christmas)) {
+        // 17-24/12 đã xử lý ở trên (2DDMM)
+        if (date.getMonth() === 11 && date.getDate() >= 17 && date.getDate() <= 24) {
+            // 17-24/12: chỉ áp dụng 2DDMM cho ngày thường, không áp dụng cho Chúa Nhật
+            if (dayOfWeek !== 0) {
+                return `2${day}${month}`;
+            }
+        }
+        const weekNum = Math.floor((t(prevSunday(date)) - t(getSunday(litData.adventStart))) / ONE_WEEK) + 1;
+        if (weekNum >= 1 && weekNum <= 4) {
+            return `10${weekNum}${dayOfWeek}`;
+        }
+    }
+
+    // ===== ƯU TIÊN 9: Mùa Thường Niên (5) =====
+    // Cấu trúc: 5 + TT (01-34) + D (0-6)
+    // Chúa Giêsu Chịu Phép Rửa (5010) đã được xử lý ở trên, không tính vào đây
+
+    if (dTime > t(litData.baptismLord) && dTime < t(litData.ashWednesday)) {
+        // Sau Chúa Giêsu Chịu Phép Rửa đến trước Mùa Chay
+        // Tính tuần từ Chúa Nhật của Chúa Giêsu Chịu Phép Rửa (hoặc chính nó nếu là CN)
+        const baptismSun = prevSunday(litData.baptismLord);
+        const thisSunday = prevSunday(date);
+        const weekNum = Math.floor((t(thisSunday) - t(baptismSun)) / ONE_WEEK) + 1;
+        if (weekNum >= 1 && weekNum <= 34) {
+            return `5${weekNum.toString().padStart(2, '0')}${dayOfWeek}`;
+        }
+    } else if (dTime > t(litData.pentecost) && dTime < t(litData.adventStart)) {
+        // Sau Hiện Xuống đến trước Mùa Vọng
+        // CN 34 TN = Lễ Chúa Kitô Vua Vũ Trụ
+        // Kiểm tra xem có phải là lễ Chúa Kitô Vua không (CN cuối TN)
+        if (litData.christKing && dTime === t(litData.christKing)) {
+            // Chúa Kitô Vua là CN cuối TN (tuần 34), dùng mã 5340 (5 + 34 + 0)
+            return "5340";
+        }
+
+        // Tính ngược từ CN cuối TN (Chúa Kitô Vua)
+        // CN cuối TN = christKing (CN trước CN I Mùa Vọng 7 ngày)
+        const lastOTSunday = litData.christKing; // CN cuối TN = Chúa Kitô Vua
+        const thisSunday = prevSunday(date);
+        const weeksBeforeLast = Math.floor((t(lastOTSunday) - t(thisSunday)) / ONE_WEEK);
+        const weekNum = 34 - weeksBeforeLast;
+
+        if (weekNum >= 1 && weekNum <= 34) {
+            return `5${weekNum.toString().padStart(2, '0')}${dayOfWeek}`;
+        }
+    }
+
+    // Fallback: Trả về sanctoral code nếu không tìm thấy
+    if (!includeSanctoral) {
+        return getLiturgicalDayCode(date, litData, { includeSanctoral: true });
+    }
+    return code7DDMM;
+}
+
+// Năm phụng vụ chứa một ngày: năm N bắt đầu từ Chúa Nhật I Mùa Vọng của năm N-1
+// date: Date, 'YYYY-MM-DD' hoặc [năm, tháng, ngày] (như getDay)
+function getLiturgicalYearOf(date, litData = null) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const d = toEngineDate(date);
+    const year = d.getFullYear();
+    const data = litData || getLiturgicalData(year);
+    return t(d) >= t(data.adventStart) ? year + 1 : year;
+}
+
+// Khoảng ngày của năm phụng vụ N: Chúa Nhật I Mùa Vọng (năm N-1) → Thứ Bảy tuần Chúa Kitô Vua (năm N)
+function getLiturgicalYearRange(year) {
+    const prevLitData = getLiturgicalData(year - 1);
+    const start = new Date(prevLitData.adventStart);
+    const end = addDays(getLiturgicalData(year).adventStart, -1);
+    return {
+        year: year,
+        start: start,
+        end: end,
+        sundayCycle: getLiturgicalCycle(start, prevLitData),
+        weekdayCycle: year % 2 !== 0 ? "1" : "2"
+    };
+}
+
+function getLiturgicalCycle(date, litData) {
+    // Năm Phụng Vụ mới bắt đầu vào Chúa Nhật I Mùa Vọng
+    const year = getLiturgicalYearOf(date, litData);
+
+    // Tính năm A/B/C: Năm % 3 == 1 => A, == 2 => B, == 0 => C
+    const r = year % 3;
+    return r === 1 ? "A" : (r === 2 ? "B" : "C");
+}
+
+// Tính số tuần Chúa Nhật trong năm dương lịch (từ 1 đến 53)
+// Dùng cho lịch Chầu Thánh Thể
+function getSundayNumberOfYear(date) {
+    const year = date.getFullYear();
+    const jan1 = new Date(year, 0, 1);
+
+    // Tìm Chúa Nhật đầu tiên của năm
+    let firstSunday = new Date(jan1);
+    const jan1Day = jan1.getDay();
+    if (jan1Day !== 0) {
+        // Nếu 1/1 không phải Chúa Nhật, tìm Chúa Nhật đầu tiên
+        firstSunday.setDate(jan1.getDate() + (7 - jan1Day));
+    }
+
+    // Nếu ngày hiện tại trước Chúa Nhật đầu tiên, return 0
+    if (date < firstSunday) {
+        return 0;
+    }
+
+    // Tính số tuần từ Chúa Nhật đầu tiên
+    const daysSinceFirstSunday = Math.floor((date - firstSunday) / (24 * 60 * 60 * 1000));
+    const sundayNumber = Math.floor(daysSinceFirstSunday / 7) + 1;
+
+    return sundayNumber;
+}
+
+// options: như getLiturgicalDayCode (vd. { includeSanctoral: false } = tuần của phụng vụ mùa)
+function getDetailedLiturgicalWeek(date, litData, options = {}) {
+    const code = getLiturgicalDayCode(date, litData, options);
+    const season = parseInt(code.substring(0, 1));
+    const month = date.getMonth();
+    const day = date.getDate();
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+
+    if (month === 11 && day >= 17 && day <= 24) {
+        return `Mùa Vọng ngày ${String(day).padStart(2, '0')}/${String(month + 1).padStart(2, '0')}`;
+    }
+    if ((month === 11 && day >= 25) || (month === 0 && day === 1)) return "Tuần Bát Nhật Giáng Sinh";
+
+    // Kiểm tra các ngày sau lễ Hiển Linh (từ ngày sau Hiển Linh đến trước Chúa Giêsu Chịu Phép Rửa)
+    if (litData.epiphany && litData.baptismLord) {
+        const epiphanyTime = t(litData.epiphany);
+        const baptismTime = t(litData.baptismLord);
+
+        // Ngày Hiển Linh
+        if (dTime === epiphanyTime) {
+            return "Lễ Hiển Linh";
+        }
+
+        // Ngày Chúa Giêsu Chịu Phép Rửa
+        if (dTime === baptismTime) {
+            return "Lễ Chúa Giêsu Chịu Phép Rửa";
+        }
+
+        // Các ngày sau lễ Hiển Linh (trước Chúa Giêsu Chịu Phép Rửa)
+        if (dTime > epiphanyTime && dTime < baptismTime) {
+            return "sau lễ Hiển Linh";
+        }
+    }
+
+    if (season === 2) return "Mùa Giáng Sinh";
+
+    // Kiểm tra các ngày đặc biệt có mã riêng
+    if (code === "4089") return "Vọng Hiện Xuống";
+    if (code === "4080") return "Lễ Chúa Thăng Thiên";
+    if (code === "5001") return "Lễ Hiện Xuống";
+    if (code === "5002") return "Lễ Chúa Ba Ngôi";
+    if (code === "5003") return "Lễ Mình Máu Thánh Chúa";
+    if (code === "5004") return "Lễ Thánh Tâm Chúa Giêsu";
+    if (code === "8441") return "Trái Tim Vô Nhiễm Mẹ";
+    if (code === "8411") return "Đức Maria Mẹ Hội Thánh";
+
+    const week = parseInt(code.substring(1, 3));
+    const seasonNames = ["", "Mùa Vọng", "Mùa Giáng Sinh", "Mùa Chay", "Mùa Phục Sinh", "Thường Niên"];
+    if (week === 0 && season === 3) return "Sau Lễ Tro";
+    if (week === 6 && season === 3) return "Tuần Thánh";
+    if (week === 1 && season === 4) return "Tuần Bát Nhật Phục Sinh";
+
+    // Kiểm tra season hợp lệ trước khi truy cập seasonNames
+    const seasonName = (season >= 0 && season < seasonNames.length) ? seasonNames[season] : "Thường Niên";
+    // Kiểm tra week hợp lệ
+    const weekRoman = (week > 0 && !isNaN(week)) ? toRoman(week) : "";
+
+    if (!weekRoman) {
+        // Nếu không có week hợp lệ, trả về tên mùa hoặc fallback
+        return seasonName || "Mùa Thường Niên";
+    }
+
+    return `Tuần ${weekRoman} ${seasonName}`;
+}
+
+function getRankDisplayName(rank) {
+    switch (rank) {
+        case 'TRONG': return 'LỄ TRỌNG';
+        case 'KINH': return 'LỄ KÍNH';
+        case 'NHO': return 'LỄ NHỚ';
+        case 'NHOKB': return 'LỄ NHỚ (TD)';
+        case 'CHUA_NHAT': return 'CHÚA NHẬT';
+        case 'CN': return 'CHÚA NHẬT';
+        default: return '';
+    }
+}
+// Tên màu phụng vụ (nhận 'bg-lit-green', 'text-lit-green' hoặc 'green'), kèm màu thay thế nếu có:
+// getColorDisplayName('purple', ['black']) → 'Tím (hoặc Đen)'
+function getColorDisplayName(color, altColors = []) {
+    if (!color) return '';
+    const key = normalizeLiturgicalColor(color);
+    const name = key ? LITURGICAL_COLORS[key].name : String(color).replace(/^(bg|text)-lit-/, '');
+    const alternatives = normalizeColorAlternatives(altColors, color).map(c => LITURGICAL_COLORS[c].name);
+    return alternatives.length > 0 ? `${name} (hoặc ${alternatives.join(', ')})` : name;
+}
+// Lớp CSS nền / chữ và mã màu của một màu phụng vụ (màu lạ: xanh lá như Mùa Thường Niên)
+function getColorBgClass(color) {
+    return LITURGICAL_COLORS[normalizeLiturgicalColor(color) || 'green'].bg;
+}
+function getColorTextClass(color) {
+    return LITURGICAL_COLORS[normalizeLiturgicalColor(color) || 'green'].text;
+}
+function getColorHex(color, light = false) {
+    const entry = LITURGICAL_COLORS[normalizeLiturgicalColor(color) || 'green'];
+    return light ? entry.light : entry.hex;
+}
+// Gán màu chính (lớp nền + chữ) và màu thay thế cho kết quả getDayInfo; màu lạ thì giữ nguyên
+function setResultColor(result, color, altColors = []) {
+    const key = normalizeLiturgicalColor(color);
+    if (!key) return false;
+    result.color = LITURGICAL_COLORS[key].bg;
+    result.textColor = LITURGICAL_COLORS[key].text;
+    result.altColors = normalizeColorAlternatives(altColors, key);
+    return true;
+}
+function getRankBadgeClass(rank) {
+    switch (rank) {
+        case 'TRONG': return 'rank-TRONG';
+        case 'KINH': return 'rank-KINH';
+        case 'NHO': return 'rank-NHO';
+        case 'NHOKB': return 'rank-NHOKB';
+        case 'CN': return 'rank-CN';
+        case 'CHUA_NHAT': return 'rank-CN';
+        default: return 'bg-gray-100 text-gray-500';
+    }
+}
+
+// ============================================================================
+// LITURGICAL PRECEDENCE ENGINE
+// Engine quyết định cử hành chính và commemorations khi có xung đột
+// ============================================================================
+
+/**********************************************************************
+ * PHÂN CẤP ƯU TIÊN (Precedence Rank 1..13)
+ * Rank nhỏ hơn => ưu tiên cao hơn.
+ **********************************************************************/
+const RANK = Object.freeze({
+    TRIDUUM: 1,
+    HIGH_LORD_SUNDAY_SEASON: 2,
+    SOLEMNITY: 3,
+    FEAST_LORD: 4,
+    SUNDAY_ORD_OR_CHRISTMAS: 5,
+    FEAST: 6,
+    MEM_OBL: 7,
+    MEM_OPT: 8,
+    ADVENT_17_24_WEEKDAY: 9,
+    ADVENT_1_16_WEEKDAY: 10,
+    CHRISTMAS_WEEKDAY: 11,
+    LENT_WEEKDAY: 12,
+    OT_WEEKDAY: 13
+});
+
+const CATEGORY_WEIGHT = Object.freeze({
+    LORD: 0,
+    MARY: 1,
+    SAINT: 2,
+    OTHER: 3
+});
+
+const GRADE = Object.freeze({
+    SOLEMNITY: "TRỌNG",
+    FEAST: "KÍNH",
+    MEMORIAL: "NHỚ",
+    WEEKDAY: "NGÀY THƯỜNG"
+});
+
+// Grade weight (số cao hơn = ưu tiên cao hơn trong cùng rank)
+function gradeWeight(grade) {
+    if (grade === GRADE.SOLEMNITY) return 4;
+    if (grade === GRADE.FEAST) return 3;
+    if (grade === GRADE.MEMORIAL) return 2;
+    if (grade === GRADE.WEEKDAY) return 1;
+    return 0;
+}
+
+// Chuyển đổi rankCode sang GRADE
+function rankCodeToGrade(rankCode) {
+    if (rankCode === 'TRONG') return GRADE.SOLEMNITY;
+    if (rankCode === 'KINH') return GRADE.FEAST;
+    if (rankCode === 'NHO' || rankCode === 'NHOKB') return GRADE.MEMORIAL;
+    return GRADE.WEEKDAY;
+}
+
+// Xác định Precedence Rank cho một ngày phụng vụ
+// Số nhỏ hơn = ưu tiên cao hơn
+function getPrecedenceRank(celebrationInfo, date, litData) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const dayOfWeek = date.getDay();
+    const season = parseInt(getLiturgicalDayCode(date, litData, { includeTet: false }).substring(0, 1));
+    const specialDayType = getSpecialDayType(date, litData);
+    const month = date.getMonth();
+    const day = date.getDate();
+
+    // 1. TRIDUUM - Tam Nhật Vượt Qua (ưu tiên tuyệt đối)
+    if (specialDayType === 'TRIDUUM') {
+        return RANK.TRIDUUM;
+    }
+
+    // Ngày thường 17-24/12 (tuần cuối Mùa Vọng) - ưu tiên trước khi season bị hiểu là Giáng Sinh do 2DDMM
+    if (month === 11 && day >= 17 && day <= 24 && dayOfWeek !== 0) {
+        return RANK.ADVENT_17_24_WEEKDAY;
+    }
+
+    // Các ngày đặc biệt có ưu tiên cao (Theo bảng phụng vụ)
+    // Áp dụng CHỈ cho ngày thường/Chúa Nhật của mùa (không áp dụng cho lễ thánh)
+    const isAshWednesdayCelebration = litData?.ashWednesdayTransferred
+        ? (dTime === t(litData.ashWednesdayCelebration))
+        : (dTime === t(litData.ashWednesday));
+    const isPrivilegedWeekday = specialDayType === 'HOLY_WEEK' ||
+        specialDayType === 'EASTER_OCTAVE' ||
+        isAshWednesdayCelebration;
+    const isAshWednesdayCelebrationInfo = isAshWednesdayCelebration &&
+        typeof celebrationInfo.special === 'string' && celebrationInfo.special.toLowerCase().includes('lễ tro');
+    if (isPrivilegedWeekday && (
+        celebrationInfo.rankCode === 'NGAY_THUONG' ||
+        celebrationInfo.rankCode === 'CHUA_NHAT' ||
+        isAshWednesdayCelebrationInfo
+    )) {
+        return RANK.HIGH_LORD_SUNDAY_SEASON;
+    }
+
+    // 2. HIGH_LORD_SUNDAY_SEASON - Chúa Nhật trong mùa đặc biệt (Vọng, Chay, Phục Sinh)
+    if (dayOfWeek === 0 && (season === 1 || season === 3 || season === 4) && celebrationInfo.rankCode === 'CHUA_NHAT') {
+        return RANK.HIGH_LORD_SUNDAY_SEASON;
+    }
+
+    // 3. SOLEMNITY - Lễ Trọng
+    if (celebrationInfo.rankCode === 'TRONG') {
+        return RANK.SOLEMNITY;
+    }
+
+    // 4. FEAST_LORD - Lễ Kính của Chúa
+    if (celebrationInfo.rankCode === 'KINH' && isLordFeast(celebrationInfo)) {
+        return RANK.FEAST_LORD;
+    }
+
+    // 5. SUNDAY_ORD_OR_CHRISTMAS - Chúa Nhật Thường Niên hoặc Chúa Nhật Mùa Giáng Sinh
+    if (dayOfWeek === 0 && season === 5 && celebrationInfo.rankCode === 'CHUA_NHAT') {
+        return RANK.SUNDAY_ORD_OR_CHRISTMAS;
+    }
+    if (dayOfWeek === 0 && season === 2 && celebrationInfo.rankCode === 'CHUA_NHAT') { // Chúa Nhật Mùa Giáng Sinh
+        return RANK.SUNDAY_ORD_OR_CHRISTMAS;
+    }
+
+    // 6. FEAST - Lễ Kính (không phải của Chúa)
+    if (celebrationInfo.rankCode === 'KINH') {
+        return RANK.FEAST;
+    }
+
+    // 7. MEM_OBL - Lễ Nhớ Bắt Buộc
+    if (celebrationInfo.rankCode === 'NHO') {
+        return RANK.MEM_OBL;
+    }
+
+    // 8. MEM_OPT - Lễ Nhớ Tùy Chọn
+    if (celebrationInfo.rankCode === 'NHOKB') {
+        return RANK.MEM_OPT;
+    }
+
+    // 9. ADVENT_17_24_WEEKDAY - Ngày thường 17-24/12 (tuần cuối Mùa Vọng)
+    if (season === 1 && dayOfWeek !== 0) {
+        if (day >= 17 && day <= 24) {
+            return RANK.ADVENT_17_24_WEEKDAY;
+        }
+    }
+
+    // Ngày thường trong Bát Nhật Giáng Sinh: ưu tiên cao hơn lễ nhớ, nhưng thấp hơn lễ kính
+    if (specialDayType === 'CHRISTMAS_OCTAVE' && dayOfWeek !== 0 && celebrationInfo.rankCode === 'NGAY_THUONG') {
+        return RANK.ADVENT_17_24_WEEKDAY;
+    }
+
+    // 10. ADVENT_1_16_WEEKDAY - Ngày thường 1-16/12 Mùa Vọng
+    if (season === 1 && dayOfWeek !== 0) {
+        return RANK.ADVENT_1_16_WEEKDAY;
+    }
+
+    // 11. CHRISTMAS_WEEKDAY - Ngày thường Mùa Giáng Sinh (sau Bát Nhật)
+    if (season === 2 && dayOfWeek !== 0 && celebrationInfo.rankCode === 'NGAY_THUONG') {
+        return RANK.CHRISTMAS_WEEKDAY;
+    }
+
+    // 12. LENT_WEEKDAY - Ngày thường Mùa Chay
+    if (season === 3 && dayOfWeek !== 0) {
+        return RANK.LENT_WEEKDAY;
+    }
+
+    // 13. OT_WEEKDAY - Ngày thường Thường Niên
+    if (season === 5 && dayOfWeek !== 0) {
+        return RANK.OT_WEEKDAY;
+    }
+
+    // Fallback: ngày thường
+    return RANK.OT_WEEKDAY;
+}
+
+// Mùa / ngày ưu tiên không cử hành lễ nhớ, lễ kính (lễ thánh cố định, dịp âm lịch):
+// Lễ Kính chỉ bị bỏ trong Tuần Thánh và Bát Nhật Phục Sinh; Lễ Nhớ còn bị bỏ trong 17-24/12,
+// ngày thường Mùa Chay và Bát Nhật Giáng Sinh. Lễ Trọng không bao giờ bị bỏ.
+function isSeasonSuppressed(rankCode, date, litData) {
+    if (rankCode === 'TRONG') return false;
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const month = date.getMonth();
+    const day = date.getDate();
+    const specialDayType = getSpecialDayType(date, litData);
+    const inHolyWeek = specialDayType === 'HOLY_WEEK' || specialDayType === 'TRIDUUM';
+    const inEasterOctave = dTime >= t(litData.easter) && dTime <= t(addDays(litData.easter, 7));
+    const inAdventLastWeek = (month === 11 && day >= 17 && day <= 24);
+    const inLentWeekday = dTime >= t(litData.ashWednesday) && dTime < t(litData.palmSunday) && date.getDay() !== 0;
+    const christmasStart = new Date(date.getFullYear(), 11, 25);
+    const christmasOctaveEnd = new Date(date.getFullYear() + 1, 0, 1);
+    const inChristmasOctave = dTime >= t(christmasStart) && dTime <= t(christmasOctaveEnd);
+
+    // Feasts are suppressed only in Holy Week & Easter Octave
+    if (rankCode === 'KINH') {
+        return inHolyWeek || inEasterOctave;
+    }
+    // Memorials are suppressed in strong seasons (Advent 17-24, Lent weekdays, Holy Week, Easter Octave, Christmas Octave)
+    if (rankCode === 'NHO' || rankCode === 'NHOKB' || rankCode === 'O') {
+        return inAdventLastWeek || inLentWeekday || inHolyWeek || inEasterOctave || inChristmasOctave;
+    }
+    return false;
+}
+
+// Kiểm tra xem có phải lễ của Chúa không
+function isLordFeast(celebrationInfo) {
+    const name = celebrationInfo.special || '';
+    // Các lễ của Chúa thường có từ khóa như "Chúa", "Chúa Giêsu", "Kitô", "Thánh Thể"
+    return name.includes('Chúa') || name.includes('Chúa Giêsu') ||
+        name.includes('Kitô') || name.includes('Thánh Thể') ||
+        name.includes('HIỆN XUỐNG') || name.includes('PHỤC SINH');
+}
+
+// Xác định Category Weight
+function getCategoryWeight(celebrationInfo) {
+    const name = celebrationInfo.special || (celebrationInfo.saints && celebrationInfo.saints[0]?.name) || '';
+
+    // LORD - Lễ của Chúa
+    if (isLordFeast(celebrationInfo)) {
+        return CATEGORY_WEIGHT.LORD;
+    }
+
+    // MARY - Lễ về Đức Mẹ
+    if (name.includes('Đức Mẹ') || name.includes('MẸ') || name.includes('MARIA')) {
+        return CATEGORY_WEIGHT.MARY;
+    }
+
+    // SAINT - Lễ các thánh
+    if (name.includes('Thánh') || celebrationInfo.saints && celebrationInfo.saints.length > 0) {
+        return CATEGORY_WEIGHT.SAINT;
+    }
+
+    // OTHER - Khác
+    return CATEGORY_WEIGHT.OTHER;
+}
+
+// Legacy function - giữ lại để tương thích (số nhỏ hơn = ưu tiên cao hơn)
+// Pure mapping để tránh phụ thuộc ngày chạy.
+function getRankPriority(rankCode) {
+    switch (rankCode) {
+        case 'TRONG': return RANK.SOLEMNITY;
+        case 'KINH': return RANK.FEAST;
+        case 'NHO': return RANK.MEM_OBL;
+        case 'NHOKB':
+        case 'O': return RANK.MEM_OPT;
+        case 'CHUA_NHAT': return RANK.SUNDAY_ORD_OR_CHRISTMAS;
+        case 'NGAY_THUONG': return RANK.OT_WEEKDAY;
+        default: return RANK.OT_WEEKDAY;
+    }
+}
+
+// ============================================================================
+// TRACE THỨ TỰ ƯU TIÊN ("Vì sao hôm nay cử hành lễ này?")
+// getDayInfo ghi lại mọi ứng viên đã xét vào result.trace:
+//   { winner, decidedBy, reason, candidates: [{ source, name, rankCode, precedenceRank,
+//     rankLabel, outcome, rule, reason, ... }] }
+// source: temporal | sanctoral | transferred | tet | lunar | vigil
+// outcome: winner | commemorated | superseded | displaced | suppressed | transferred | omitted | optional | note | vigil
+// ============================================================================
+
+// Nhãn của bảng RANK (1..13)
+const RANK_LABELS = Object.freeze({
+    [RANK.TRIDUUM]: 'Tam Nhật Vượt Qua',
+    [RANK.HIGH_LORD_SUNDAY_SEASON]: 'Chúa Nhật Mùa Vọng, Chay, Phục Sinh; Lễ Tro; Tuần Thánh; Bát Nhật Phục Sinh',
+    [RANK.SOLEMNITY]: 'Lễ Trọng',
+    [RANK.FEAST_LORD]: 'Lễ Kính của Chúa',
+    [RANK.SUNDAY_ORD_OR_CHRISTMAS]: 'Chúa Nhật Thường Niên / Mùa Giáng Sinh',
+    [RANK.FEAST]: 'Lễ Kính',
+    [RANK.MEM_OBL]: 'Lễ Nhớ bắt buộc',
+    [RANK.MEM_OPT]: 'Lễ Nhớ tùy chọn',
+    [RANK.ADVENT_17_24_WEEKDAY]: 'Ngày thường 17-24/12; ngày trong Bát Nhật Giáng Sinh',
+    [RANK.ADVENT_1_16_WEEKDAY]: 'Ngày thường Mùa Vọng (đến 16/12)',
+    [RANK.CHRISTMAS_WEEKDAY]: 'Ngày thường Mùa Giáng Sinh',
+    [RANK.LENT_WEEKDAY]: 'Ngày thường Mùa Chay',
+    [RANK.OT_WEEKDAY]: 'Ngày thường Mùa Thường Niên'
+});
+
+// Các quy tắc có thể quyết định kết quả (id dùng trong trace.decidedBy và candidate.rule)
+const PRECEDENCE_RULES = Object.freeze({
+    'uncontested': 'Không có cử hành nào khác trùng ngày',
+    'precedence-rank': 'Theo bậc trong bảng thứ tự ưu tiên (số nhỏ hơn được ưu tiên)',
+    'precedence-category': 'Cùng bậc: theo loại lễ (Chúa → Đức Mẹ → các thánh)',
+    'precedence-grade': 'Cùng bậc và loại: theo cấp lễ (Lễ Trọng → Lễ Kính → Lễ Nhớ)',
+    'precedence-name': 'Ngang nhau hoàn toàn: theo thứ tự tên',
+    'commemoration': 'Được kính nhớ trong cử hành chính',
+    'transferred-in': 'Lễ Trọng bị dời đến ngày này',
+    'transferred-out': 'Lễ Trọng trùng ngày có bậc cao hơn nên được dời',
+    'transferred-day': 'Ngày dành cho lễ được dời: không cử hành lễ thường lệ của ngày',
+    'movable-override': 'Đã kính theo ngày di động thay cho ngày cố định',
+    'season-suppression': 'Mùa / ngày ưu tiên: không cử hành lễ này',
+    'optional-after-epiphany': 'Lễ nhớ tùy chọn sau Hiển Linh: giữ phụng vụ mùa, có thể cử hành tùy ý',
+    'tet-celebrated': 'Cử hành Thánh lễ Tết theo phép HĐGMVN',
+    'tet-note': 'Giữ phụng vụ trong ngày; Tết chỉ được ghi chú',
+    'tet-eve': 'Đêm Giao Thừa: không thay phụng vụ trong ngày',
+    'lunar-celebrated': 'Dịp âm lịch được cử hành thay phụng vụ trong ngày',
+    'lunar-optional': 'Dịp âm lịch: ngày thường, có thể cử hành tùy chọn',
+    'lunar-note': 'Dịp âm lịch: giữ phụng vụ trong ngày, chỉ ghi chú',
+    'vigil': 'Thánh lễ vọng cử hành chiều hôm trước'
+});
+
+// Nhãn hiển thị (modal, CLI)
+const TRACE_SOURCE_LABELS = Object.freeze({
+    temporal: 'Phụng vụ mùa',
+    sanctoral: 'Lịch các thánh',
+    transferred: 'Lễ dời',
+    tet: 'Tết Nguyên Đán',
+    lunar: 'Dịp âm lịch',
+    vigil: 'Lễ vọng'
+});
+
+const TRACE_OUTCOME_LABELS = Object.freeze({
+    winner: 'Cử hành',
+    commemorated: 'Kính nhớ',
+    superseded: 'Nhường',
+    displaced: 'Bị thay thế',
+    suppressed: 'Không cử hành',
+    transferred: 'Dời lễ',
+    omitted: 'Bỏ qua',
+    optional: 'Tùy chọn',
+    note: 'Ghi chú',
+    vigil: 'Chiều hôm trước'
+});
+
+// Một dòng trong trace.candidates
+function traceCandidate(source, name, rankCode, precedenceRank, outcome, rule, extra = {}) {
+    return {
+        source: source,
+        name: name,
+        rankCode: rankCode || null,
+        precedenceRank: precedenceRank ?? null,
+        rankLabel: RANK_LABELS[precedenceRank] || null,
+        outcome: outcome,
+        rule: rule,
+        reason: PRECEDENCE_RULES[rule] || rule,
+        ...extra
+    };
+}
+
+// Đổi kết quả / quy tắc của một candidate đã ghi
+function setTraceOutcome(candidate, outcome, rule) {
+    candidate.outcome = outcome;
+    candidate.rule = rule;
+    candidate.reason = PRECEDENCE_RULES[rule] || rule;
+}
+
+// Tiêu chí đã phân định hai candidate, theo đúng thứ tự so sánh của determinePrimaryCelebration
+function precedenceCriterion(a, b) {
+    if (a.rank !== b.rank) return 'rank';
+    const wa = CATEGORY_WEIGHT[a.category] ?? CATEGORY_WEIGHT.OTHER;
+    const wb = CATEGORY_WEIGHT[b.category] ?? CATEGORY_WEIGHT.OTHER;
+    if (wa !== wb) return 'category';
+    if (gradeWeight(a.grade) !== gradeWeight(b.grade)) return 'grade';
+    return 'name';
+}
+
+// Xác định loại ngày phụng vụ đặc biệt
+function getSpecialDayType(date, litData) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+
+    // Tam Nhật Vượt Qua (Triduum) - ưu tiên tuyệt đối
+    const goodFridayTime = t(litData.goodFriday);
+    const easterTime = t(litData.easter);
+    if (dTime >= goodFridayTime && dTime <= easterTime) {
+        return 'TRIDUUM';
+    }
+
+    // Tuần Thánh (trước Triduum)
+    const palmSundayTime = t(litData.palmSunday);
+    if (dTime >= palmSundayTime && dTime < goodFridayTime) {
+        return 'HOLY_WEEK';
+    }
+
+    // Mùa Chay (từ Thứ Tư Lễ Tro đến trước Tuần Thánh)
+    const ashWednesdayTime = t(litData.ashWednesday);
+    if (dTime >= ashWednesdayTime && dTime < palmSundayTime) {
+        return 'LENT';
+    }
+
+    // Bát Nhật Phục Sinh
+    const octaveEnd = addDays(easterTime, 7);
+    if (dTime > easterTime && dTime <= octaveEnd) {
+        return 'EASTER_OCTAVE';
+    }
+
+    // Mùa Vọng (từ Chúa Nhật I Mùa Vọng đến 24/12)
+    const adventStartTime = t(litData.adventStart);
+    const christmasEve = t(new Date(date.getFullYear(), 11, 24));
+    if (dTime >= adventStartTime && dTime <= christmasEve) {
+        return 'ADVENT';
+    }
+
+    // Bát Nhật Giáng Sinh (25/12 -> 01/01, bắc cầu qua năm)
+    let christmasStart = new Date(date.getFullYear(), 11, 25);
+    let christmasOctaveEnd = new Date(date.getFullYear() + 1, 0, 1);
+    // Nếu đang ở đầu tháng 1, bắc cầu từ 25/12 năm trước -> 01/01 năm hiện tại
+    if (date.getMonth() === 0 && date.getDate() <= 1) {
+        christmasStart = new Date(date.getFullYear() - 1, 11, 25);
+        christmasOctaveEnd = new Date(date.getFullYear(), 0, 1);
+    }
+    const christmasTime = t(christmasStart);
+    const christmasOctaveEndTime = t(christmasOctaveEnd);
+    if (dTime >= christmasTime && dTime <= christmasOctaveEndTime) {
+        return 'CHRISTMAS_OCTAVE';
+    }
+
+    return 'ORDINARY';
+}
+
+// Tạo base celebration từ temporal info
+function baseCelebration(date, temporalInfo, litData) {
+    const dayOfWeek = date.getDay();
+    // Mùa và tuần của phụng vụ mùa: không theo mã lễ thánh (7DDMM) hay Tết của ngày
+    const temporalCodeOptions = { includeSanctoral: false, includeTet: false };
+    const season = parseInt(getLiturgicalDayCode(date, litData, temporalCodeOptions).substring(0, 1));
+    const specialDayType = getSpecialDayType(date, litData);
+    const detailedWeek = getDetailedLiturgicalWeek(date, litData, temporalCodeOptions);
+    const cycle = getLiturgicalCycle(date, litData);
+    const weekdayCycle = date.getFullYear() % 2 !== 0 ? "1" : "2";
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const christmasStart = (date.getMonth() === 0)
+        ? new Date(date.getFullYear() - 1, 11, 25)
+        : new Date(date.getFullYear(), 11, 25);
+    const christmasOctaveEnd = new Date(christmasStart.getFullYear() + 1, 0, 1);
+    const isChristmasOctave = dTime >= t(christmasStart) && dTime <= t(christmasOctaveEnd);
+
+    // Tam Nhật Vượt Qua
+    if (specialDayType === 'TRIDUUM') {
+        const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+        const dTime = t(date);
+        const goodFridayTime = t(litData.goodFriday);
+        const easterTime = t(litData.easter);
+        const holyThursday = addDays(litData.goodFriday, -1);
+        const holySaturday = addDays(litData.easter, -1);
+
+        let name = "Tam Nhật Vượt Qua";
+        let color = "white";
+        if (dTime === t(holyThursday)) {
+            name = "Thứ Năm Tuần Thánh (Tiệc Ly)";
+            color = "white";
+        } else if (dTime === goodFridayTime) {
+            name = "Thứ Sáu Tuần Thánh (Tưởng niệm Cuộc Thương Khó)";
+            color = "red";
+        } else if (dTime === t(holySaturday)) {
+            name = "Thứ Bảy Tuần Thánh (Canh thức Vượt Qua)";
+            color = "white";
+        } else if (dTime === easterTime) {
+            name = "Chúa Nhật Phục Sinh";
+            color = "white";
+        }
+
+        return {
+            key: "BASE_TRIDUUM",
+            name: name,
+            category: "LORD",
+            grade: (dayOfWeek === 0 ? GRADE.SOLEMNITY : GRADE.WEEKDAY),
+            rank: RANK.TRIDUUM,
+            color: color,
+            rankCode: temporalInfo.rankCode,
+            special: name,
+            season: temporalInfo.season
+        };
+    }
+
+    // Chúa Nhật
+    if (dayOfWeek === 0) {
+        // Giữ nguyên các cử hành Chúa/Lễ chính đã được xác định từ temporalInfo
+        // (ví dụ: CHÚA THĂNG THIÊN được chuyển sang Chúa Nhật, Thánh Gia trong Bát Nhật Giáng Sinh).
+        if (temporalInfo.special && (temporalInfo.rankCode === 'TRONG' || temporalInfo.rankCode === 'KINH')) {
+            const color = normalizeLiturgicalColor(temporalInfo.color) || 'green';
+            return {
+                key: "BASE_SUN_SPECIAL_TEMPORAL",
+                name: temporalInfo.special,
+                category: "LORD",
+                grade: rankCodeToGrade(temporalInfo.rankCode),
+                rank: getPrecedenceRank(temporalInfo, date, litData),
+                color: color,
+                rankCode: temporalInfo.rankCode,
+                special: temporalInfo.special,
+                season: temporalInfo.season
+            };
+        }
+
+        // Bát nhật Giáng Sinh: luôn là Chúa Nhật Mùa Giáng Sinh (màu trắng)
+        if (isChristmasOctave) {
+            return {
+                key: "BASE_SUN_XMAS_OCTAVE",
+                name: "Chúa Nhật Mùa Giáng Sinh",
+                category: "LORD",
+                grade: GRADE.SOLEMNITY,
+                rank: RANK.SUNDAY_ORD_OR_CHRISTMAS,
+                color: "white",
+                rankCode: 'CHUA_NHAT',
+                special: "Chúa Nhật Mùa Giáng Sinh",
+                season: "Mùa Giáng Sinh"
+            };
+        }
+
+        if (season === 1) { // Mùa Vọng
+            const adventStartTime = t(litData.adventStart);
+            const week = 1 + Math.floor((t(date) - adventStartTime) / (7 * 24 * 60 * 60 * 1000));
+            const weekRoman = toRoman(Math.min(Math.max(week, 1), 4));
+            const roseSunday = getRoseSunday(date, litData);
+            const name = roseSunday ? roseSunday.name : `Chúa Nhật ${weekRoman} Mùa Vọng`;
+            return {
+                key: "BASE_SUN_ADVENT",
+                name: name,
+                category: "LORD",
+                grade: GRADE.SOLEMNITY,
+                rank: RANK.HIGH_LORD_SUNDAY_SEASON,
+                color: roseSunday ? roseSunday.color : "purple",
+                rankCode: 'CHUA_NHAT',
+                special: name,
+                season: temporalInfo.season
+            };
+        }
+        if (season === 3) { // Mùa Chay
+            if (detailedWeek.includes("Tuần Thánh")) {
+                return {
+                    key: "BASE_SUN_PALM",
+                    name: "Chúa Nhật Lễ Lá (Tuần Thánh)",
+                    category: "LORD",
+                    grade: GRADE.SOLEMNITY,
+                    rank: RANK.HIGH_LORD_SUNDAY_SEASON,
+                    color: "red",
+                    rankCode: 'CHUA_NHAT',
+                    special: "Chúa Nhật Lễ Lá",
+                    season: temporalInfo.season
+                };
+            }
+            const firstSundayLent = addDays(litData.ashWednesday, 4);
+            const week = 1 + Math.floor((t(date) - t(firstSundayLent)) / (7 * 24 * 60 * 60 * 1000));
+            const weekRoman = toRoman(Math.min(Math.max(week, 1), 5));
+            const roseSunday = getRoseSunday(date, litData);
+            const name = roseSunday ? roseSunday.name : `Chúa Nhật ${weekRoman} Mùa Chay`;
+            return {
+                key: "BASE_SUN_LENT",
+                name: name,
+                category: "LORD",
+                grade: GRADE.SOLEMNITY,
+                rank: RANK.HIGH_LORD_SUNDAY_SEASON,
+                color: roseSunday ? roseSunday.color : "purple",
+                rankCode: 'CHUA_NHAT',
+                special: name,
+                season: temporalInfo.season
+            };
+        }
+        if (season === 4) { // Mùa Phục Sinh
+            const easterTime = t(litData.easter);
+            const week = 1 + Math.floor((t(date) - easterTime) / (7 * 24 * 60 * 60 * 1000));
+            const weekRoman = toRoman(Math.min(Math.max(week, 1), 7));
+            return {
+                key: "BASE_SUN_EASTER",
+                name: `Chúa Nhật ${weekRoman} Mùa Phục Sinh`,
+                category: "LORD",
+                grade: GRADE.SOLEMNITY,
+                rank: RANK.HIGH_LORD_SUNDAY_SEASON,
+                color: "white",
+                rankCode: 'CHUA_NHAT',
+                special: `Chúa Nhật ${weekRoman} Mùa Phục Sinh`,
+                season: temporalInfo.season
+            };
+        }
+        if (season === 2) { // Mùa Giáng Sinh
+
+            // Lễ Hiển Linh
+            if (litData.epiphany && dTime === t(litData.epiphany)) {
+                return {
+                    key: "BASE_SUN_EPIPHANY",
+                    name: "CHÚA NHẬT LỄ HIỂN LINH",
+                    category: "LORD",
+                    grade: GRADE.SOLEMNITY,
+                    rank: RANK.HIGH_LORD_SUNDAY_SEASON,
+                    color: "white",
+                    rankCode: 'TRONG',
+                    special: "CHÚA NHẬT LỄ HIỂN LINH",
+                    season: temporalInfo.season
+                };
+            }
+
+            // Lễ Chúa Giêsu Chịu Phép Rửa
+            if (litData.baptismLord && dTime === t(litData.baptismLord)) {
+                return {
+                    key: "BASE_SUN_BAPTISM",
+                    name: "CHÚA GIÊSU CHỊU PHÉP RỬA",
+                    category: "LORD",
+                    grade: GRADE.FEAST,
+                    rank: RANK.FEAST_LORD,
+                    color: "white",
+                    rankCode: 'KINH',
+                    special: "CHÚA GIÊSU CHỊU PHÉP RỬA",
+                    season: temporalInfo.season
+                };
+            }
+
+            return {
+                key: "BASE_SUN_XMAS",
+                name: "Chúa Nhật Mùa Giáng Sinh",
+                category: "LORD",
+                grade: GRADE.SOLEMNITY,
+                rank: RANK.SUNDAY_ORD_OR_CHRISTMAS,
+                color: "white",
+                rankCode: 'CHUA_NHAT',
+                special: "Chúa Nhật Mùa Giáng Sinh",
+                season: temporalInfo.season
+            };
+        }
+        // Chúa Nhật Thường Niên
+        return {
+            key: "BASE_SUN_OT",
+            name: `Chúa Nhật Mùa Thường Niên (${detailedWeek})`,
+            category: "LORD",
+            grade: GRADE.SOLEMNITY,
+            rank: RANK.SUNDAY_ORD_OR_CHRISTMAS,
+            color: "green",
+            rankCode: 'CHUA_NHAT',
+            special: detailedWeek,
+            season: temporalInfo.season
+        };
+    }
+
+    // Ngày thường
+    let color = "green";
+    if (season === 1) color = "purple"; // Mùa Vọng
+    if (season === 3) color = "purple"; // Mùa Chay
+    if (season === 4) color = "white";  // Mùa Phục Sinh
+    if (season === 2) color = "white";  // Mùa Giáng Sinh
+    if (isChristmasOctave) color = "white"; // Bát nhật Giáng Sinh
+    // Cử hành riêng của phụng vụ mùa (Thánh Gia, Đức Maria Mẹ Hội Thánh...) giữ màu của lễ
+    if (temporalInfo.special && temporalInfo.color?.includes('white')) color = "white";
+    if (temporalInfo.special && temporalInfo.color?.includes('red')) color = "red";
+
+    const baseRank = getPrecedenceRank(temporalInfo, date, litData);
+
+    // Xử lý đặc biệt cho các ngày sau lễ Hiển Linh
+    if (litData.epiphany && litData.baptismLord) {
+        const epiphanyTime = t(litData.epiphany);
+        const baptismTime = t(litData.baptismLord);
+
+        if (dTime > epiphanyTime && dTime < baptismTime) {
+            const dayOfWeekName = DAYS_FULL_VI[dayOfWeek];
+            return {
+                key: "BASE_WEEKDAY_AFTER_EPIPHANY",
+                name: `${dayOfWeekName} sau lễ Hiển Linh`,
+                category: "OTHER",
+                grade: GRADE.WEEKDAY,
+                rank: RANK.CHRISTMAS_WEEKDAY,
+                color: "white",
+                rankCode: 'NGAY_THUONG',
+                special: `${dayOfWeekName} sau lễ Hiển Linh`,
+                season: "Mùa Giáng Sinh"
+            };
+        }
+    }
+
+    return {
+        key: "BASE_WEEKDAY",
+        name: `Ngày thường ${temporalInfo.season}${detailedWeek ? " - " + detailedWeek : ""}`,
+        category: temporalInfo.special ? "LORD" : "OTHER",
+        grade: rankCodeToGrade(temporalInfo.rankCode),
+        rank: baseRank,
+        color: color,
+        rankCode: temporalInfo.rankCode,
+        special: temporalInfo.special || null,
+        season: temporalInfo.season
+    };
+}
+
+// Engine quyết định cử hành chính sử dụng candidates approach
+// Input: temporalInfo, sanctoralInfo, date, litData
+// Output: { primaryCelebration, commemorations, reason, decidedBy, candidates }
+// base: truyền vào nếu đã tính sẵn baseCelebration của temporalInfo
+function determinePrimaryCelebration(temporalInfo, sanctoralInfo, date, litData, base = baseCelebration(date, temporalInfo, litData)) {
+
+    // Tạo danh sách candidates
+    const candidates = [base];
+
+    // Thêm sanctoral nếu có
+    if (sanctoralInfo) {
+        const sanctoralCandidate = {
+            key: "SANCTORAL",
+            name: sanctoralInfo.special,
+            category: getCategoryWeight(sanctoralInfo) === CATEGORY_WEIGHT.MARY ? "MARY" :
+                (getCategoryWeight(sanctoralInfo) === CATEGORY_WEIGHT.SAINT ? "SAINT" : "OTHER"),
+            grade: rankCodeToGrade(sanctoralInfo.rankCode),
+            rank: getPrecedenceRank(sanctoralInfo, date, litData),
+            color: normalizeLiturgicalColor(sanctoralInfo.color) || 'green',
+            rankCode: sanctoralInfo.rankCode,
+            special: sanctoralInfo.special,
+            saints: sanctoralInfo.saints || []
+        };
+        candidates.push(sanctoralCandidate);
+    }
+
+    // Sắp xếp candidates theo precedence
+    candidates.sort((a, b) => {
+        // 1. So sánh rank (số nhỏ hơn = ưu tiên cao hơn)
+        if (a.rank !== b.rank) return a.rank - b.rank;
+
+        // 2. So sánh category weight (số nhỏ hơn = ưu tiên cao hơn)
+        const wa = CATEGORY_WEIGHT[a.category] ?? CATEGORY_WEIGHT.OTHER;
+        const wb = CATEGORY_WEIGHT[b.category] ?? CATEGORY_WEIGHT.OTHER;
+        if (wa !== wb) return wa - wb;
+
+        // 3. So sánh grade weight (số cao hơn = ưu tiên cao hơn)
+        const ga = gradeWeight(a.grade);
+        const gb = gradeWeight(b.grade);
+        if (ga !== gb) return gb - ga;
+
+        // 4. So sánh tên (alphabetical)
+        return String(a.name).localeCompare(String(b.name), "vi");
+    });
+
+    const winner = candidates[0];
+    const isSanctoralWinner = winner.key === "SANCTORAL";
+    const commemorations = candidates.slice(1).filter(c => {
+        // Chỉ commemorated nếu là MEMORIAL hoặc trong một số trường hợp đặc biệt
+        return c.grade === GRADE.MEMORIAL ||
+            (c.rank === RANK.SOLEMNITY && winner.rank <= RANK.HIGH_LORD_SUNDAY_SEASON);
+    });
+
+    // Chuyển đổi winner về format temporalInfo/sanctoralInfo
+    const primaryCelebration = {
+        ...temporalInfo,
+        special: winner.special || temporalInfo.special,
+        rankCode: winner.rankCode || temporalInfo.rankCode,
+        color: getColorBgClass(winner.color),
+        textColor: getColorTextClass(winner.color),
+        saints: winner.saints || temporalInfo.saints,
+        _isSanctoral: isSanctoralWinner // Flag để tooltip biết
+    };
+
+    return {
+        primaryCelebration: primaryCelebration,
+        commemorations: commemorations,
+        reason: `Winner: ${winner.key} (rank ${winner.rank}, category ${winner.category}, grade ${winner.grade})`,
+        // Tiêu chí phân định winner với candidate kế tiếp: rank | category | grade | name
+        decidedBy: candidates.length > 1 ? precedenceCriterion(winner, candidates[1]) : null,
+        candidates: candidates,
+        _winnerKey: winner.key // Lưu winner key để tooltip sử dụng
+    };
+}
+
+// Legacy function - giữ lại để tương thích
+function resolveLiturgicalConflict(temporalInfo, sanctoralInfo, date, litData) {
+    const result = determinePrimaryCelebration(temporalInfo, sanctoralInfo, date, litData);
+    return {
+        use: result.primaryCelebration === temporalInfo ? 'temporal' : 'sanctoral',
+        reason: result.reason
+    };
+}
+
+// ============================================================================
+// LITURGICAL TRANSFER ENGINE
+// Bảng luật dời lễ (khai báo): Lễ Trọng rơi vào một ngày "ngăn trở" (impediment)
+// được dời theo luật của loại ngăn trở đó. getLiturgicalData tính bảng một lần cho
+// cả năm (litData.transfers); mã ngày, getDayInfo, tooltip và export đều đọc từ đây.
+// Thêm trường hợp mới = thêm một dòng vào TRANSFER_IMPEDIMENTS / TRANSFER_RULES.
+// ============================================================================
+
+// Lễ Trọng di động: Lễ Trọng cố định trùng ngày phải dời
+const TRANSFER_MOVABLE_SOLEMNITIES = ['epiphany', 'ascension', 'pentecost', 'trinity', 'corpusChristi',
+    'sacredHeart', 'christKing', 'vietnameseMartyrs', 'rosarySunday'];
+
+// Các ngày ngăn trở Lễ Trọng, kiểm tra theo thứ tự
+const TRANSFER_IMPEDIMENTS = [
+    {
+        id: 'triduum',
+        label: 'Tam Nhật Vượt Qua',
+        test: (date, litData) => getSpecialDayType(date, litData) === 'TRIDUUM'
+    },
+    {
+        id: 'holyWeek',
+        label: 'Tuần Thánh',
+        test: (date, litData) => getSpecialDayType(date, litData) === 'HOLY_WEEK'
+    },
+    {
+        id: 'easterOctave',
+        label: 'Bát Nhật Phục Sinh',
+        test: (date, litData) => getSpecialDayType(date, litData) === 'EASTER_OCTAVE'
+    },
+    {
+        id: 'ashWednesday',
+        label: 'Thứ Tư Lễ Tro',
+        test: (date, litData) => toISODateLocal(date) === toISODateLocal(litData.ashWednesday)
+    },
+    {
+        id: 'privilegedSunday',
+        label: 'Chúa Nhật Mùa Vọng, Mùa Chay, Mùa Phục Sinh',
+        test: (date, litData) => {
+            if (date.getDay() !== 0) return false;
+            const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+            const dTime = t(date);
+            return (dTime >= t(litData.adventStart) && dTime < t(litData.christmas)) ||
+                (dTime >= t(litData.ashWednesday) && dTime < t(litData.easter)) ||
+                (dTime > t(litData.easter) && dTime <= t(litData.pentecost));
+        }
+    },
+    {
+        id: 'movableSolemnity',
+        label: 'Lễ Trọng di động',
+        test: (date, litData) => TRANSFER_MOVABLE_SOLEMNITIES.some(key =>
+            litData[key] && toISODateLocal(litData[key]) === toISODateLocal(date))
+    }
+];
+
+// Nơi dời đến theo loại ngăn trở:
+//   afterEasterOctave - Thứ Hai sau Chúa Nhật II Phục Sinh
+//   beforePalmSunday  - Thứ Bảy trước Chúa Nhật Lễ Lá
+//   nextFreeDay       - ngày gần nhất sau đó không bị ngăn trở (không phải Chúa Nhật, không có Lễ Trọng/Lễ Kính)
+const TRANSFER_RULES = {
+    triduum: 'afterEasterOctave',
+    holyWeek: 'afterEasterOctave',
+    easterOctave: 'afterEasterOctave',
+    ashWednesday: 'nextFreeDay',
+    privilegedSunday: 'nextFreeDay',
+    movableSolemnity: 'nextFreeDay'
+};
+
+const TRANSFER_TARGET_LABELS = {
+    afterEasterOctave: 'Thứ Hai sau Chúa Nhật II Phục Sinh',
+    beforePalmSunday: 'Thứ Bảy trước Chúa Nhật Lễ Lá',
+    nextFreeDay: 'ngày gần nhất không bị ngăn trở'
+};
+
+// Lễ Trọng chỉ khai báo trong litData (xem FEASTS_ONLY_IN_LITDATA); rules: luật riêng thay TRANSFER_RULES
+// month: 0-11
+const LITDATA_SOLEMNITIES = [
+    {
+        key: 'stJoseph', month: 2, day: 19, name: 'THÁNH GIUSE BẠN TRĂM NĂM ĐỨC MARIA', readingCode: '71903',
+        // Tuần Thánh: cử hành sớm vào Thứ Bảy trước Lễ Lá
+        rules: { holyWeek: 'beforePalmSunday' }
+    },
+    { key: 'annunciation', month: 2, day: 25, name: 'LỄ TRUYỀN TIN', readingCode: '72503' },
+    { key: 'immConception', month: 11, day: 8, name: 'ĐỨC MẸ VÔ NHIỄM NGUYÊN TỘI', readingCode: '70812' }
+];
+
+// Ngăn trở đầu tiên áp dụng cho một ngày (null = ngày tự do)
+function getTransferImpediment(date, litData) {
+    return TRANSFER_IMPEDIMENTS.find(imp => imp.test(date, litData)) || null;
+}
+
+// Bảng dời lễ của một năm: { transfers, transfersFrom, transfersTo }
+// transfers[i] = { key, name, rank, color, altColors, proper, readingCode, originalDate, date, impediment, rule, note }
+// transfersFrom / transfersTo: chỉ mục theo 'YYYY-MM-DD' ngày gốc / ngày cử hành
+function buildTransferMap(year, litData) {
+    const transfers = [];
+    const taken = new Set();
+    const isOccupied = date => {
+        const key = `${date.getMonth() + 1}-${date.getDate()}`;
+        const fixed = getFixedCelebration(key, date.getFullYear());
+        return date.getDay() === 0 || taken.has(toISODateLocal(date)) ||
+            Boolean(fixed && (fixed.rank === 'TRONG' || fixed.rank === 'KINH')) ||
+            Boolean(getTransferImpediment(date, litData));
+    };
+    const nextFreeDay = from => {
+        let date = addDays(from, 1);
+        while (isOccupied(date)) date = addDays(date, 1);
+        return date;
+    };
+    const resolveTarget = (target, originalDate) => {
+        if (target === 'beforePalmSunday') return addDays(litData.palmSunday, -1);
+        if (target === 'afterEasterOctave') {
+            const monday = addDays(litData.easter, 8);
+            return isOccupied(monday) ? nextFreeDay(monday) : monday;
+        }
+        return nextFreeDay(originalDate);
+    };
+
+    const celebrations = LITDATA_SOLEMNITIES.map(s => ({
+        key: s.key, name: s.name, rank: 'TRONG', color: 'white', altColors: [], proper: null,
+        readingCode: s.readingCode, rules: s.rules || {}, originalDate: new Date(year, s.month, s.day)
+    }));
+    Object.keys(FIXED_DATA_LOOKUP).forEach(key => {
+        const saint = getFixedCelebration(key, year);
+        if (!saint || saint.rank !== 'TRONG') return;
+        const [month, day] = key.split('-').map(Number);
+        celebrations.push({
+            key: key, name: saint.name, rank: saint.rank, color: saint.color, altColors: saint.altColors || [],
+            proper: saint.proper || null, readingCode: saint.readingCode || getSanctoralDayCode(new Date(year, month - 1, day)),
+            rules: {}, originalDate: new Date(year, month - 1, day)
+        });
+    });
+    celebrations.sort((a, b) => a.originalDate - b.originalDate);
+
+    celebrations.forEach(c => {
+        const impediment = getTransferImpediment(c.originalDate, litData);
+        if (!impediment) {
+            taken.add(toISODateLocal(c.originalDate));
+            return;
+        }
+        const rule = c.rules[impediment.id] || TRANSFER_RULES[impediment.id] || 'nextFreeDay';
+        const date = resolveTarget(rule, c.originalDate);
+        taken.add(toISODateLocal(date));
+        const { rules, ...celebration } = c;
+        transfers.push({
+            ...celebration,
+            date: date,
+            impediment: impediment.id,
+            rule: rule,
+            note: `${c.name} (${c.originalDate.getDate()}/${c.originalDate.getMonth() + 1}) trùng ${impediment.label}, ` +
+                `dời sang ${TRANSFER_TARGET_LABELS[rule]} (${date.getDate()}/${date.getMonth() + 1}).`
+        });
+    });
+
+    const transfersFrom = {};
+    const transfersTo = {};
+    transfers.forEach(tr => {
+        transfersFrom[toISODateLocal(tr.originalDate)] = tr;
+        transfersTo[toISODateLocal(tr.date)] = tr;
+    });
+    return { transfers, transfersFrom, transfersTo };
+}
+
+// Ngày dời lễ (transfer date) của lễ trọng ngày originalDate (null = không dời)
+function getTransferDate(originalDate, litData) {
+    const transfer = litData.transfersFrom && litData.transfersFrom[toISODateLocal(originalDate)];
+    return transfer ? transfer.date : null;
+}
+
+// Lễ bị dời đến ngày này (null nếu không có)
+function getTransferredFeast(date, litData) {
+    return (litData.transfersTo && litData.transfersTo[toISODateLocal(date)]) || null;
+}
+
+function getDayInfo(date, litData) {
+    // Kiểm tra cache trước
+    const year = date.getFullYear();
+    const cacheKey = `dayInfo_${getCalendarContextKey()}_${year}_${date.getMonth()}_${date.getDate()}`;
+    const cached = CACHE.get('dayInfo', cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const season = parseInt(getLiturgicalDayCode(date, litData, { includeTet: false }).substring(0, 1));
+    const dayOfWeek = date.getDay();
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+
+    let result = {
+        season: "Mùa Thường Niên",
+        color: "bg-lit-green",
+        textColor: "text-lit-green",
+        special: null,
+        isSolemn: false,
+        saints: [],
+        altColors: [],
+        rankCode: 'NGAY_THUONG',
+        rankName: '',
+        commemorations: [],
+        precedenceReason: null,
+        _forceSanctoralReadings: false,
+        _forceSanctoralKey: null
+    };
+
+    if (season === 1) { result.season = "Mùa Vọng"; result.color = "bg-lit-purple"; result.textColor = "text-lit-purple"; }
+    else if (season === 2) { result.season = "Mùa Giáng Sinh"; result.color = "bg-lit-white"; result.textColor = "text-lit-gold"; }
+    else if (season === 3) { result.season = "Mùa Chay"; result.color = "bg-lit-purple"; result.textColor = "text-lit-purple"; }
+    else if (season === 4) { result.season = "Mùa Phục Sinh"; result.color = "bg-lit-white"; result.textColor = "text-lit-gold"; }
+
+    // 17-24/12: vẫn thuộc Mùa Vọng (màu tím), dù dùng mã 2DDMM cho bài đọc ngày thường
+    if (date.getMonth() === 11 && date.getDate() >= 17 && date.getDate() <= 24) {
+        result.season = "Mùa Vọng";
+        result.color = "bg-lit-purple";
+        result.textColor = "text-lit-purple";
+    }
+    // Bát nhật Giáng Sinh (25/12 -> 01/01): luôn là Mùa Giáng Sinh (màu trắng)
+    const christmasStart = (date.getMonth() === 0)
+        ? new Date(date.getFullYear() - 1, 11, 25)
+        : new Date(date.getFullYear(), 11, 25);
+    const christmasOctaveEnd = new Date(christmasStart.getFullYear() + 1, 0, 1);
+    const christmasStartTime = new Date(christmasStart.getFullYear(), 11, 25).getTime();
+    const christmasOctaveEndTime = new Date(christmasOctaveEnd.getFullYear(), 0, 1).getTime();
+    if (dTime >= christmasStartTime && dTime <= christmasOctaveEndTime) {
+        result.season = "Mùa Giáng Sinh";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+    }
+
+    // Default Sunday Rank
+    if (dayOfWeek === 0) { result.rankCode = 'CHUA_NHAT'; result.rankName = 'Chúa Nhật'; }
+
+    // Chúa Nhật Gaudete / Laetare: tên truyền thống và màu hồng
+    const roseSunday = getRoseSunday(date, litData);
+    if (roseSunday) {
+        result.special = roseSunday.name;
+        result.roseSunday = roseSunday.id;
+        setResultColor(result, roseSunday.color, roseSunday.altColors);
+    }
+
+    // Special Days (Solemnities mostly)
+
+    // Xử lý Lễ Tro theo quy luật dời lễ tại Việt Nam
+    if (litData.ashWednesdayTransferred) {
+        // Lễ Tro bị dời do trùng Tết
+        if (dTime === t(litData.ashWednesday)) {
+            // Ngày Lễ Tro ban đầu: Mùa Chay bắt đầu nhưng không cử hành Lễ Tro
+            result.special = "Bắt Đầu Mùa Chay (Lễ Tro dời)";
+            result.color = "bg-lit-purple";
+            result.textColor = "text-lit-purple";
+            result.rankCode = 'NGAY_THUONG';
+            result.ashWednesdayNote = litData.ashWednesdayTransferNote;
+        }
+        if (dTime === t(litData.ashWednesdayCelebration)) {
+            // Ngày cử hành Lễ Tro thực tế (Mùng 4 Tết)
+            result.special = "LỄ TRO (Cử hành)";
+            result.color = "bg-lit-purple";
+            result.textColor = "text-lit-purple";
+            result.rankCode = 'TRONG';
+            result.ashWednesdayNote = litData.ashWednesdayTransferNote;
+            result.isTransferredAshWednesday = true;
+        }
+    } else {
+        // Lễ Tro không bị dời
+        if (dTime === t(litData.ashWednesday)) {
+            result.special = "Lễ Tro";
+            result.color = "bg-lit-purple";
+            result.textColor = "text-lit-purple";
+            result.rankCode = 'TRONG';
+        }
+    }
+    if (dTime === t(litData.easter)) { result.special = "Đại Lễ Phục Sinh"; result.color = "bg-lit-white"; result.textColor = "text-lit-gold"; result.rankCode = 'TRONG'; }
+    if (dTime === t(litData.ascension)) {
+        result.special = "CHÚA THĂNG THIÊN";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'TRONG';
+        result.season = "Mùa Phục Sinh";
+    }
+
+    // === TAM NHẬT VƯỢT QUA (Triduum) - Override màu theo ngày ===
+    const holyThursday = addDays(litData.goodFriday, -1);
+    const holySaturday = addDays(litData.easter, -1);
+
+    if (dTime === t(holyThursday)) {
+        result.special = "Thứ Năm Tuần Thánh (Tiệc Ly)";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'TRONG';
+        result.season = "Tam Nhật Vượt Qua";
+    }
+    if (dTime === t(litData.goodFriday)) {
+        result.special = "Thứ Sáu Tuần Thánh (Tưởng niệm Cuộc Thương Khó)";
+        result.color = "bg-lit-red";  // ĐỎ - không phải tím
+        result.textColor = "text-lit-red";
+        result.rankCode = 'TRONG';
+        result.season = "Tam Nhật Vượt Qua";
+    }
+    if (dTime === t(holySaturday)) {
+        result.special = "Thứ Bảy Tuần Thánh (Canh thức Vượt Qua)";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'TRONG';
+        result.season = "Tam Nhật Vượt Qua";
+    }
+
+    // Chúa Nhật II Phục Sinh: giữ bậc Chúa Nhật, chỉ thêm tên Lòng Chúa Thương Xót
+    if (litData.divineMercy && dTime === t(litData.divineMercy)) {
+        result.special = "Chúa Nhật II Phục Sinh - Lòng Chúa Thương Xót";
+        result.rankCode = 'CHUA_NHAT';
+    }
+
+    if (dTime === t(litData.pentecost)) { result.special = "CHÚA THÁNH THẦN HIỆN XUỐNG"; result.color = "bg-lit-red"; result.textColor = "text-lit-red"; result.rankCode = 'TRONG'; result.season = "Mùa Phục Sinh"; }
+
+    // === CÁC LỄ SAU HIỆN XUỐNG ===
+    if (dTime === t(litData.trinity)) {
+        result.special = "CHÚA BA NGÔI";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'TRONG';
+        result.season = "Mùa Thường Niên";
+    }
+    if (dTime === t(litData.corpusChristi)) {
+        result.special = "MÌNH VÀ MÁU THÁNH CHÚA KITÔ";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'TRONG';
+        result.season = "Mùa Thường Niên";
+    }
+    if (dTime === t(litData.sacredHeart)) {
+        result.special = "THÁNH TÂM CHÚA GIÊSU";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'TRONG';
+        result.season = "Mùa Thường Niên";
+    }
+    if (dTime === t(litData.immaculateHeart)) {
+        result.special = "Trái Tim Vô Nhiễm Mẹ Maria";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'NHO';
+        result.season = "Mùa Thường Niên";
+    }
+    if (litData.maryMotherChurch && dTime === t(litData.maryMotherChurch)) {
+        result.special = "Đức Maria Mẹ Hội Thánh";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = 'NHO';
+        result.season = "Mùa Thường Niên";
+    }
+
+    if (dTime === t(litData.christKing)) {
+        result.special = "ĐẠI LỄ CHÚA KITÔ VUA VŨ TRỤ";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = "TRONG";
+        result.season = "Mùa Thường Niên";
+    }
+    if (litData.vietnameseMartyrs && dTime === t(litData.vietnameseMartyrs)) {
+        result.special = "CÁC THÁNH TỬ ĐẠO VIỆT NAM";
+        result.color = "bg-lit-red";
+        result.textColor = "text-lit-red";
+        result.rankCode = "TRONG";
+        result._forceSanctoralReadings = true;
+        result._forceSanctoralKey = "72411";
+    }
+    if (litData.rosarySunday && dTime === t(litData.rosarySunday)) { result.special = "ĐỨC MẸ MÂN CÔI (Kính Trọng Thể)"; result.color = "bg-lit-white"; result.rankCode = "TRONG"; }
+    if (dTime === t(litData.missionSunday)) { result.special = "Khánh Nhật Truyền Giáo"; result.color = "bg-lit-green"; result.rankCode = "CHUA_NHAT"; }
+
+    // Truyền Tin, Thánh Giuse, Vô Nhiễm: ngày gốc (khi bị dời, xem lễ dời bên dưới)
+    // seasonalResult: phụng vụ mùa của ngày trước khi bị Lễ Trọng thay (ứng viên temporal trong trace)
+    let litDataSolemnity = null;
+    let seasonalResult = result;
+    LITDATA_SOLEMNITIES.forEach(s => {
+        if (dTime !== t(litData[s.key]) || getTransferredFeast(date, litData)) return;
+        litDataSolemnity = s;
+        seasonalResult = { ...result };
+        result.special = s.name;
+        result.color = "bg-lit-white";
+        result.rankCode = "TRONG";
+        result._forceSanctoralReadings = true;
+        result._forceSanctoralKey = s.readingCode;
+    });
+
+    // Lễ Thánh Gia - Chúa Nhật trong Bát Nhật Giáng Sinh hoặc 30/12 (Lễ Kính của Chúa)
+    if (litData.holyFamily && dTime === t(litData.holyFamily)) {
+        result.special = "Thánh Gia Thất: Chúa Giêsu, Đức Maria và Thánh Giuse";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = "KINH";
+        result.season = "Mùa Giáng Sinh";
+    }
+
+    // Lễ Hiển Linh (Epiphany) - Chúa Nhật từ ngày 2-8 tháng 1 (lịch Rôma: 6/1, có thể là ngày thường)
+    if (dTime === t(litData.epiphany)) {
+        result.special = dayOfWeek === 0 ? "CHÚA NHẬT LỄ HIỂN LINH" : "LỄ CHÚA HIỂN LINH";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = "TRONG";
+        result.isSolemn = true;
+    }
+
+    // Lễ Chúa Giêsu Chịu Phép Rửa - Chúa Nhật sau lễ Hiển Linh (Lễ Kính)
+    if (dTime === t(litData.baptismLord)) {
+        result.special = "CHÚA GIÊSU CHỊU PHÉP RỬA";
+        result.color = "bg-lit-white";
+        result.textColor = "text-lit-gold";
+        result.rankCode = "KINH";
+    }
+
+    // Các ngày sau lễ Hiển Linh (trước Chúa Giêsu Chịu Phép Rửa)
+    // Flag để biết đây là ngày sau Hiển Linh - temporal được ưu tiên hơn optional memorial
+    let isAfterEpiphany = false;
+    if (litData.epiphany && litData.baptismLord) {
+        const epiphanyTime = t(litData.epiphany);
+        const baptismTime = t(litData.baptismLord);
+
+        if (dTime > epiphanyTime && dTime < baptismTime) {
+            const dayOfWeekName = DAYS_FULL_VI[date.getDay()];
+            result.special = `${dayOfWeekName} sau lễ Hiển Linh`;
+            result.color = "bg-lit-white";
+            result.textColor = "text-lit-gold";
+            result.rankCode = "NGAY_THUONG";
+            result._isAfterEpiphany = true; // Flag để không bị sanctoral đè
+            isAfterEpiphany = true;
+        }
+    }
+
+    // Trace: phụng vụ mùa (temporal) là ứng viên đầu tiên
+    const temporalBase = baseCelebration(date, result, litData);
+    const seasonalBase = litDataSolemnity ? baseCelebration(date, seasonalResult, litData) : temporalBase;
+    const trace = { winner: null, decidedBy: 'uncontested', reason: null, candidates: [] };
+    const temporalTrace = traceCandidate('temporal', seasonalResult.special || seasonalBase.name,
+        seasonalResult.rankCode, seasonalBase.rank, 'winner', 'uncontested');
+    trace.candidates.push(temporalTrace);
+
+    // Lễ Trọng chỉ khai báo trong litData thay ngày thường của mùa (vd. Thánh Giuse trong Mùa Chay)
+    if (litDataSolemnity) {
+        setTraceOutcome(temporalTrace, 'displaced', 'precedence-rank');
+        trace.candidates.push(traceCandidate('sanctoral', litDataSolemnity.name, 'TRONG', RANK.SOLEMNITY,
+            'winner', 'precedence-rank'));
+        trace.decidedBy = 'precedence-rank';
+    }
+
+    // Kiểm tra lễ bị dời đến ngày này
+    const transferredFeast = getTransferredFeast(date, litData);
+    if (transferredFeast) {
+        setTraceOutcome(temporalTrace, 'superseded', 'transferred-in');
+        trace.candidates.push(traceCandidate('transferred', transferredFeast.name, 'TRONG', RANK.SOLEMNITY,
+            'winner', 'transferred-in', {
+                originalDate: toISODateLocal(transferredFeast.originalDate),
+                impediment: transferredFeast.impediment,
+                note: transferredFeast.note
+            }));
+        trace.decidedBy = 'transferred-in';
+
+        // Lễ bị dời có ưu tiên cao
+        result.special = transferredFeast.name;
+        result.rankCode = 'TRONG';
+        setResultColor(result, transferredFeast.color, transferredFeast.altColors);
+        result.transferred = true;
+        result.originalDate = transferredFeast.originalDate;
+        result.transferNote = transferredFeast.note;
+        result._forceSanctoralReadings = true;
+        result._forceSanctoralKey = transferredFeast.readingCode;
+        if (transferredFeast.proper) result.proper = transferredFeast.proper;
+    }
+
+    // Lễ Trọng của ngày này bị dời đi
+    const transferredAway = litData.transfersFrom && litData.transfersFrom[toISODateLocal(date)];
+    if (transferredAway) {
+        result.transferredTo = transferredAway.date;
+        result.transferNote = transferredAway.note;
+        trace.candidates.push(traceCandidate('sanctoral', transferredAway.name, 'TRONG', RANK.SOLEMNITY,
+            'transferred', 'transferred-out', {
+                transferDate: toISODateLocal(transferredAway.date),
+                impediment: transferredAway.impediment,
+                note: transferredAway.note
+            }));
+        trace.decidedBy = 'transferred-out';
+    }
+
+    // Xử lý sanctoral (các thánh) sử dụng Precedence Engine
+    const key = `${date.getMonth() + 1}-${date.getDate()}`;
+    let sanctoralInfo = null;
+
+    // Bỏ qua FIXED khi ngày trùng với lễ di động (Vietnamese Martyrs, Mân Côi) để tránh trùng
+    const movableKey = MOVABLE_OVERRIDES_FIXED[key];
+    const skipFixedForMovable = movableKey && litData[movableKey] && dTime === t(litData[movableKey]);
+
+    // Lễ cố định của ngày theo lịch có hiệu lực trong năm
+    const fixedSaint = getFixedCelebration(key, year);
+
+    // Lễ cố định của ngày không được xét: ghi vào trace
+    if (fixedSaint && (transferredFeast || skipFixedForMovable)) {
+        const saint = fixedSaint;
+        trace.candidates.push(traceCandidate('sanctoral', saint.name, saint.rank, getRankPriority(saint.rank),
+            'omitted', transferredFeast ? 'transferred-day' : 'movable-override'));
+        if (!transferredFeast) trace.decidedBy = 'movable-override';
+    }
+
+    // Chỉ xử lý sanctoral nếu không có lễ bị dời và không trùng movable
+    if (!transferredFeast && !skipFixedForMovable && fixedSaint) {
+        const saint = fixedSaint;
+
+        // Kiểm tra xem lễ này có bị dời không (bảng dời lễ của năm)
+        const shouldTransfer = Boolean(transferredAway) && saint.rank === 'TRONG';
+
+        if (!shouldTransfer) {
+            const suppressed = isSeasonSuppressed(saint.rank, date, litData);
+            const sanctoralTrace = traceCandidate('sanctoral', saint.name, saint.rank, getRankPriority(saint.rank), 'winner', 'uncontested');
+            trace.candidates.push(sanctoralTrace);
+            // Lễ không bị dời, thêm vào saints nếu không bị suppress
+            if (!suppressed) {
+                result.saints.push(saint);
+            }
+
+            // === ĐẶC BIỆT: Ngày sau lễ Hiển Linh ===
+            // Nếu là ngày sau Hiển Linh và lễ thánh chỉ là tùy chọn (NHOKB/O), 
+            // giữ temporal làm chính, thánh làm phụ
+            if (suppressed) {
+                // Mùa mạnh: không hiển thị lễ thánh, giữ phụng vụ mùa
+                setTraceOutcome(sanctoralTrace, 'suppressed', 'season-suppression');
+                trace.decidedBy = 'season-suppression';
+            } else if (result._isAfterEpiphany && (saint.rank === 'NHOKB' || saint.rank === 'O')) {
+                // Không override special - giữ "Thứ X sau lễ Hiển Linh"
+                // Saint đã được thêm vào result.saints, sẽ hiển thị như secondary
+                // Continue without running precedence engine
+                setTraceOutcome(sanctoralTrace, 'optional', 'optional-after-epiphany');
+                trace.decidedBy = 'optional-after-epiphany';
+            } else {
+                // Tạo sanctoral info để so sánh với temporal
+                sanctoralInfo = {
+                    rankCode: saint.rank,
+                    special: saint.name,
+                    color: normalizeLiturgicalColor(saint.color) ? getColorBgClass(saint.color) : result.color,
+                    textColor: normalizeLiturgicalColor(saint.color) ? getColorTextClass(saint.color) : result.textColor,
+                    saints: [saint]
+                };
+
+                // Sử dụng Precedence Engine để quyết định cử hành chính
+                const precedence = determinePrimaryCelebration(result, sanctoralInfo, date, litData, temporalBase);
+
+                // Áp dụng kết quả từ engine - sử dụng primaryCelebration đã được merge
+                const primaryCelebration = precedence.primaryCelebration;
+
+                // Cập nhật result với thông tin từ primaryCelebration
+                result.special = primaryCelebration.special || result.special;
+                result.rankCode = primaryCelebration.rankCode || result.rankCode;
+                result.color = primaryCelebration.color || result.color;
+                result.textColor = primaryCelebration.textColor || result.textColor;
+                if (precedence._winnerKey === 'SANCTORAL') {
+                    result.altColors = normalizeColorAlternatives(saint.altColors, result.color);
+                }
+
+                // Lưu commemorations nếu có
+                if (precedence.commemorations && precedence.commemorations.length > 0) {
+                    result.commemorations = precedence.commemorations;
+                }
+
+                // Lưu thông tin precedence để debug/log
+                result.precedenceReason = precedence.reason;
+                result._winnerKey = precedence._winnerKey; // Lưu winner key để sử dụng sau
+
+                // Trace: kết quả so sánh theo bảng RANK
+                const decidedRule = `precedence-${precedence.decidedBy || 'rank'}`;
+                precedence.candidates.forEach(candidate => {
+                    const entry = candidate.key === 'SANCTORAL' ? sanctoralTrace : temporalTrace;
+                    entry.precedenceRank = candidate.rank;
+                    entry.rankLabel = RANK_LABELS[candidate.rank] || null;
+                    if (candidate.key === precedence._winnerKey) {
+                        setTraceOutcome(entry, 'winner', decidedRule);
+                    } else if (precedence.commemorations.includes(candidate)) {
+                        setTraceOutcome(entry, 'commemorated', 'commemoration');
+                    } else {
+                        setTraceOutcome(entry, 'superseded', decidedRule);
+                    }
+                });
+                trace.decidedBy = decidedRule;
+
+                // Cử hành riêng (giáo phận/giáo xứ) thắng: ghi nguồn; lễ riêng (lịch riêng, hồ sơ quốc gia)
+                // có mã bài đọc riêng thì dùng mã đó
+                if (precedence._winnerKey === 'SANCTORAL') {
+                    if (saint.proper) result.proper = saint.proper;
+                    if (saint.readingCode) {
+                        result._forceSanctoralReadings = true;
+                        result._forceSanctoralKey = saint.readingCode;
+                    }
+                }
+            }
+        } else {
+            // Lễ bị dời, không hiển thị ở ngày này (đã ghi vào trace ở trên)
+            // Lễ sẽ được hiển thị ở ngày transferDate
+        }
+    }
+
+    // Chúa Nhật: chỉ gán rank CHUA_NHAT khi đang là ngày thường hoặc lễ nhớ
+    // (không override các lễ Kính/Lễ Trọng của Chúa)
+    if (dayOfWeek === 0 && (result.rankCode === 'NGAY_THUONG' || result.rankCode === 'NHO' || result.rankCode === 'NHOKB')) {
+        result.rankCode = 'CHUA_NHAT';
+        result.rankName = 'Chúa Nhật';
+    }
+
+    // ===== XỬ LÝ TẾT VIỆT NAM =====
+    // Cử hành Thánh lễ Tết hay giữ phụng vụ trong ngày: theo TET_CONFLICT_POLICIES
+    const tetEvent = getTetEvent(date);
+    if (tetEvent) {
+        const tetResolution = resolveTetConflict(tetEvent, result, date, litData);
+        const tetTrace = traceCandidate('tet', tetEvent.name, tetEvent.rankCode, tetResolution.rank, 'note', 'tet-note',
+            { policy: tetResolution.policy, note: tetResolution.note });
+        trace.candidates.push(tetTrace);
+
+        result.tetPolicy = tetResolution;
+        result.tetNote = tetResolution.note;
+        result.tetLunar = tetEvent.lunar;
+
+        if (tetEvent.isEve) {
+            // Đêm Giao Thừa: chỉ lưu thông tin để hiển thị trong modal (như lễ vọng)
+            setTraceOutcome(tetTrace, 'note', 'tet-eve');
+            result.tetEvent = tetEvent;
+        } else if (tetResolution.celebrate) {
+            // Lưu thông tin phụng vụ gốc vào commemorations nếu có
+            if (result.special && result.special !== tetEvent.name) {
+                result.commemorations.push({
+                    name: result.special,
+                    rankCode: result.rankCode,
+                    special: result.special
+                });
+            }
+
+            // Trace: cử hành trước đó nhường cho Tết
+            trace.candidates.forEach(entry => {
+                if (entry.outcome === 'winner') setTraceOutcome(entry, 'commemorated', 'tet-celebrated');
+            });
+            setTraceOutcome(tetTrace, 'winner', 'tet-celebrated');
+            trace.decidedBy = 'tet-celebrated';
+
+            // Cập nhật thông tin Tết
+            result.special = tetEvent.name;
+            result.rankCode = tetEvent.rankCode;
+            result.isTet = true;
+
+            // Cập nhật màu sắc
+            setResultColor(result, tetEvent.color);
+        } else {
+            // Không override phụng vụ, nhưng lưu Tết để hiển thị tooltip/modal
+            result.tetEvent = tetEvent;
+        }
+    }
+
+    // ===== CÁC DỊP THEO ÂM LỊCH (ngoài Tết) =====
+    getLunarObservances(date).forEach(obs => {
+        const obsRank = obs.rank ?? getRankPriority(obs.rankCode);
+        const obsTrace = traceCandidate('lunar', obs.name, obs.rankCode, obsRank, 'note', 'lunar-note', { id: obs.id });
+        trace.candidates.push(obsTrace);
+        const entry = { id: obs.id, name: obs.name, fullName: obs.fullName, policy: obs.policy, note: obs.note, celebrated: false, optional: false };
+        result.lunarObservances = (result.lunarObservances || []).concat(entry);
+
+        // So với bậc của cử hành đang thắng (trace), không theo rankCode: ngày thường Mùa Chay, Tuần Thánh,
+        // 17-24/12 đều là NGAY_THUONG nhưng có bậc cao hơn / không nhận lễ nhớ
+        const priorTrace = trace.candidates.find(c => c.outcome === 'winner' && c !== obsTrace) || temporalTrace;
+        const suppressed = isSeasonSuppressed(obs.rankCode, date, litData);
+        if (obs.policy === 'celebrate' && !result.isTet && suppressed) {
+            setTraceOutcome(obsTrace, 'suppressed', 'season-suppression');
+        } else if (obs.policy === 'celebrate' && !result.isTet && obsRank <= priorTrace.precedenceRank) {
+            if (result.special && result.special !== obs.name) {
+                result.commemorations.push({ name: result.special, rankCode: result.rankCode, special: result.special });
+            }
+            trace.candidates.forEach(c => {
+                if (c.outcome === 'winner') setTraceOutcome(c, 'commemorated', 'lunar-celebrated');
+            });
+            setTraceOutcome(obsTrace, 'winner', 'lunar-celebrated');
+            trace.decidedBy = 'lunar-celebrated';
+            entry.celebrated = true;
+            result.special = obs.name;
+            result.rankCode = obs.rankCode;
+            result.lunarObservance = obs;
+            setResultColor(result, obs.color, obs.altColors);
+        } else if (obs.policy === 'optional' && dayOfWeek !== 0 && !result.isTet && result.season === 'Mùa Thường Niên' &&
+            (result.rankCode === 'NGAY_THUONG' || result.rankCode === 'NHOKB')) {
+            // Lễ tùy chọn chỉ vào ngày thường Mùa Thường Niên (Mùa Vọng, Giáng Sinh, Chay, Phục Sinh: chỉ ghi chú)
+            setTraceOutcome(obsTrace, 'optional', 'lunar-optional');
+            entry.optional = true;
+        }
+    });
+
+    // Trace: lễ vọng (cử hành chiều hôm trước) thuộc về cử hành chính
+    const winnerTrace = trace.candidates.find(entry => entry.outcome === 'winner') || temporalTrace;
+    if (winnerTrace.rule === 'uncontested' && trace.decidedBy !== 'uncontested') {
+        setTraceOutcome(winnerTrace, 'winner', trace.decidedBy);
+    }
+    const vigilInfo = getVigilInfo(date, litData);
+    if (vigilInfo) {
+        trace.candidates.push(traceCandidate('vigil', vigilInfo.vigilName, winnerTrace.rankCode,
+            winnerTrace.precedenceRank, 'vigil', 'vigil', { code: vigilInfo.vigilCode }));
+    }
+    trace.winner = result.special || winnerTrace.name;
+    trace.reason = PRECEDENCE_RULES[trace.decidedBy] || trace.decidedBy;
+    result.trace = trace;
+
+    // Lễ Trọng màu trắng: có thể dùng phẩm phục vàng kim (trọng thể hơn)
+    if (result.rankCode === 'TRONG' && normalizeLiturgicalColor(result.color) === 'white') {
+        result.altColors = normalizeColorAlternatives(result.altColors.concat('gold'), result.color);
+    }
+
+    // Lưu kết quả vào cache trước khi return
+    CACHE.set('dayInfo', cacheKey, result);
+
+    return result;
+}
+
+// ============================================================================
+// HÀM XÁC ĐỊNH LỄ VỌNG CHO CÁC LỄ TRỌNG
+// ============================================================================
+function getVigilInfo(date, litData) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const month = date.getMonth();
+    const day = date.getDate();
+
+    // CHỈ TRẢ VỀ THÔNG TIN LỄ VỌNG KHI ĐANG Ở NGÀY LỄ CHÍNH
+    // (không phải ngày lễ vọng)
+
+    // 1. Lễ Giáng Sinh (25/12) - lễ vọng là 24/12
+    if (month === 11 && day === 25) {
+        return {
+            hasVigil: true,
+            vigilName: "Lễ Vọng Giáng Sinh",
+            vigilCode: "22412",
+            mainFeastName: "Lễ Giáng Sinh",
+            mainFeastDate: date,
+            mainFeastCode: "22512"
+        };
+    }
+
+    // 2. Lễ Hiện Xuống - lễ vọng là ngày hôm qua
+    if (dTime === t(litData.pentecost)) {
+        return {
+            hasVigil: true,
+            vigilName: "Vọng Hiện Xuống",
+            vigilCode: "4089",
+            mainFeastName: "CHÚA THÁNH THẦN HIỆN XUỐNG",
+            mainFeastDate: date,
+            mainFeastCode: "5001"
+        };
+    }
+
+    // 3. Lễ Phục Sinh - lễ vọng là Thứ Bảy Tuần Thánh
+    if (dTime === t(litData.easter)) {
+        return {
+            hasVigil: true,
+            vigilName: "Canh Thức Vượt Qua (Lễ Vọng Phục Sinh)",
+            vigilCode: "4076",
+            mainFeastName: "Đại Lễ Phục Sinh",
+            mainFeastDate: date,
+            mainFeastCode: "4001"
+        };
+    }
+
+    // 4. Lễ Các Thánh (1/11) - lễ vọng là 31/10
+    if (month === 10 && day === 1) {
+        return {
+            hasVigil: true,
+            vigilName: "Lễ Vọng Các Thánh",
+            vigilCode: "73110",
+            mainFeastName: "Lễ Các Thánh",
+            mainFeastDate: date,
+            mainFeastCode: "70111"
+        };
+    }
+
+    return null;
+}
+
+// ============================================================================
+// TRÍCH DẪN KINH THÁNH (BIBLE REFERENCES)
+// Phân tích trích dẫn kiểu Việt Nam ("Is 63,16-17.19; 64,2-7") thành cấu trúc
+// { sách, chương, đoạn câu } và in lại theo dạng chuẩn. Dấu phẩy ngăn chương/câu,
+// dấu chấm ngăn các đoạn câu, chấm phẩy ngăn nhóm chương (hoặc sách khác).
+// ============================================================================
+
+// id theo mã sách USFM; abbr là chữ viết tắt chuẩn của bản dịch CGKPV
+const BIBLE_BOOKS = [
+    { id: 'GEN', abbr: 'St', name: 'Sáng Thế' },
+    { id: 'EXO', abbr: 'Xh', name: 'Xuất Hành' },
+    { id: 'LEV', abbr: 'Lv', name: 'Lê-vi' },
+    { id: 'NUM', abbr: 'Ds', name: 'Dân Số' },
+    { id: 'DEU', abbr: 'Đnl', name: 'Đệ Nhị Luật' },
+    { id: 'JOS', abbr: 'Gs', name: 'Giô-suê' },
+    { id: 'JDG', abbr: 'Tl', name: 'Thủ Lãnh' },
+    { id: 'RUT', abbr: 'R', name: 'Rút' },
+    { id: '1SA', abbr: '1 Sm', name: '1 Sa-mu-en' },
+    { id: '2SA', abbr: '2 Sm', name: '2 Sa-mu-en' },
+    { id: '1KI', abbr: '1 V', name: '1 Các Vua' },
+    { id: '2KI', abbr: '2 V', name: '2 Các Vua' },
+    { id: '1CH', abbr: '1 Sb', name: '1 Sử Biên Niên' },
+    { id: '2CH', abbr: '2 Sb', name: '2 Sử Biên Niên' },
+    { id: 'EZR', abbr: 'Er', name: 'Ét-ra' },
+    { id: 'NEH', abbr: 'Nkm', name: 'Nơ-khe-mi-a' },
+    { id: 'TOB', abbr: 'Tb', name: 'Tô-bi-a' },
+    { id: 'JDT', abbr: 'Gđt', name: 'Giu-đi-tha' },
+    { id: 'EST', abbr: 'Et', name: 'Ét-te' },
+    { id: '1MA', abbr: '1 Mcb', name: '1 Ma-ca-bê' },
+    { id: '2MA', abbr: '2 Mcb', name: '2 Ma-ca-bê' },
+    { id: 'JOB', abbr: 'G', name: 'Gióp' },
+    { id: 'PSA', abbr: 'Tv', name: 'Thánh Vịnh' },
+    { id: 'PRO', abbr: 'Cn', name: 'Châm Ngôn' },
+    { id: 'ECC', abbr: 'Gv', name: 'Giảng Viên' },
+    { id: 'SNG', abbr: 'Dc', name: 'Diễm Ca' },
+    { id: 'WIS', abbr: 'Kn', name: 'Khôn Ngoan' },
+    { id: 'SIR', abbr: 'Hc', name: 'Huấn Ca' },
+    { id: 'ISA', abbr: 'Is', name: 'I-sai-a' },
+    { id: 'JER', abbr: 'Gr', name: 'Giê-rê-mi-a' },
+    { id: 'LAM', abbr: 'Ac', name: 'Ai Ca' },
+    { id: 'BAR', abbr: 'Br', name: 'Ba-rúc' },
+    { id: 'EZK', abbr: 'Ed', name: 'Ê-dê-ki-en' },
+    { id: 'DAN', abbr: 'Đn', name: 'Đa-ni-en' },
+    { id: 'HOS', abbr: 'Hs', name: 'Hô-sê' },
+    { id: 'JOL', abbr: 'Ge', name: 'Giô-en' },
+    { id: 'AMO', abbr: 'Am', name: 'A-mốt' },
+    { id: 'OBA', abbr: 'Ov', name: 'Ô-va-đi-a', singleChapter: true },
+    { id: 'JON', abbr: 'Gn', name: 'Giô-na' },
+    { id: 'MIC', abbr: 'Mk', name: 'Mi-kha' },
+    { id: 'NAM', abbr: 'Nk', name: 'Na-khum' },
+    { id: 'HAB', abbr: 'Kb', name: 'Kha-ba-cúc' },
+    { id: 'ZEP', abbr: 'Xp', name: 'Xô-phô-ni-a' },
+    { id: 'HAG', abbr: 'Kg', name: 'Khác-gai' },
+    { id: 'ZEC', abbr: 'Dcr', name: 'Da-ca-ri-a' },
+    { id: 'MAL', abbr: 'Ml', name: 'Ma-la-khi' },
+    { id: 'MAT', abbr: 'Mt', name: 'Mát-thêu' },
+    { id: 'MRK', abbr: 'Mc', name: 'Mác-cô' },
+    { id: 'LUK', abbr: 'Lc', name: 'Lu-ca' },
+    { id: 'JHN', abbr: 'Ga', name: 'Gio-an' },
+    { id: 'ACT', abbr: 'Cv', name: 'Công Vụ Tông Đồ' },
+    { id: 'ROM', abbr: 'Rm', name: 'Rô-ma' },
+    { id: '1CO', abbr: '1 Cr', name: '1 Cô-rin-tô' },
+    { id: '2CO', abbr: '2 Cr', name: '2 Cô-rin-tô' },
+    { id: 'GAL', abbr: 'Gl', name: 'Ga-lát' },
+    { id: 'EPH', abbr: 'Ep', name: 'Ê-phê-xô' },
+    { id: 'PHP', abbr: 'Pl', name: 'Phi-líp-phê' },
+    { id: 'COL', abbr: 'Cl', name: 'Cô-lô-xê' },
+    { id: '1TH', abbr: '1 Tx', name: '1 Thê-xa-lô-ni-ca' },
+    { id: '2TH', abbr: '2 Tx', name: '2 Thê-xa-lô-ni-ca' },
+    { id: '1TI', abbr: '1 Tm', name: '1 Ti-mô-thê' },
+    { id: '2TI', abbr: '2 Tm', name: '2 Ti-mô-thê' },
+    { id: 'TIT', abbr: 'Tt', name: 'Ti-tô' },
+    { id: 'PHM', abbr: 'Plm', name: 'Phi-lê-môn', singleChapter: true },
+    { id: 'HEB', abbr: 'Dt', name: 'Do Thái' },
+    { id: 'JAS', abbr: 'Gc', name: 'Gia-cô-bê' },
+    { id: '1PE', abbr: '1 Pr', name: '1 Phê-rô' },
+    { id: '2PE', abbr: '2 Pr', name: '2 Phê-rô' },
+    { id: '1JN', abbr: '1 Ga', name: '1 Gio-an' },
+    { id: '2JN', abbr: '2 Ga', name: '2 Gio-an', singleChapter: true },
+    { id: '3JN', abbr: '3 Ga', name: '3 Gio-an', singleChapter: true },
+    { id: 'JUD', abbr: 'Gđ', name: 'Giu-đa', singleChapter: true },
+    { id: 'REV', abbr: 'Kh', name: 'Khải Huyền' }
+];
+
+// Cách viết khác gặp trong dữ liệu (Latinh, viết tắt cũ, lỗi gõ đã xác minh theo nội dung)
+const BIBLE_BOOK_ALIASES = {
+    'Est': 'EST',
+    'Tob': 'TOB',
+    'Judic': 'JDG',
+    '1 Cor': '1CO',
+    '2 Cor': '2CO',
+    'Esd': 'EZR'
+};
+
+// Ghi chú trong ngoặc đi kèm trích dẫn (không phải bài đọc): bài dài/ngắn, đánh số theo bản
+// Híp-ri/Hy Lạp ("Hr 8,23b-9,3", "Hl 18b-23"), số trang sách lễ ("TN II: 524"), câu đáp ca ("Đ. c.1")
+const BIBLE_REFERENCE_NOTES = [
+    /^bài (dài|ngắn|cuối)/i,
+    /^(Hr|Hl|Gr|Hebr)(?=[\s\d])/,
+    /^TN\s*I{1,2}\s*:/,
+    /^Đ\./
+];
+
+// Khóa tra sách: bỏ khoảng trắng/dấu chấm, chữ thường, Ð (U+00D0) → Đ, số La Mã đầu → số
+function bibleBookKey(text) {
+    return String(text)
+        .normalize('NFC')
+        .replace(/Ð/g, 'Đ').replace(/ð/g, 'đ')
+        .replace(/^(I{1,3})(?=\s)/, m => String(m.length))
+        .replace(/[\s.]/g, '')
+        .toLowerCase();
+}
+
+const BIBLE_BOOK_INDEX = (() => {
+    const index = new Map();
+    BIBLE_BOOKS.forEach(book => index.set(bibleBookKey(book.abbr), book));
+    Object.entries(BIBLE_BOOK_ALIASES).forEach(([alias, id]) => {
+        index.set(bibleBookKey(alias), BIBLE_BOOKS.find(b => b.id === id));
+    });
+    return index;
+})();
+
+// Sách theo id USFM ('ISA') hoặc chữ viết tắt ('Is', 'I Cr', 'Ðnl')
+function getBibleBook(idOrAbbr) {
+    if (!idOrAbbr) return null;
+    return BIBLE_BOOKS.find(b => b.id === idOrAbbr) || BIBLE_BOOK_INDEX.get(bibleBookKey(idOrAbbr)) || null;
+}
+
+// Sách ở đầu chuỗi: "1 Tx  3,12" → { book, rest: '3,12' }; token không phải sách → { unknown }
+const BIBLE_BOOK_PREFIX = /^((?:[1-3]|I{1,3})\s*)?(\p{L}+)\.?\s*(?=\d)/u;
+
+function matchBibleBook(text) {
+    const m = BIBLE_BOOK_PREFIX.exec(text);
+    if (!m) return null;
+    const token = (m[1] || '') + m[2];
+    const book = BIBLE_BOOK_INDEX.get(bibleBookKey(token));
+    return book ? { book, rest: text.slice(m[0].length) } : { unknown: token.trim() };
+}
+
+// Thân trích dẫn của một sách ("63,16-17.19" sau khi bỏ khoảng trắng) → danh sách đoạn
+// Mỗi đoạn: { start: { chapter, verse, part }, end: {...} | null }; verse null = cả chương.
+// state.chapter giữ chương hiện tại qua các nhóm để "1,2.2,21-23" hiểu là chương 2 câu 21-23.
+function parseBibleGroup(text, book, state, errors) {
+    const spans = [];
+    const point = (chapter, verse, part) => ({ chapter, verse, part: part || null });
+    let rest = text;
+
+    let m = /^(\d+)(?:-(\d+))?(?=$)/.exec(rest);
+    if (m && !book.singleChapter) {
+        // Cả chương ("Tv 23") hoặc dãy chương ("Dc 1-2")
+        const chapter = Number(m[1]);
+        spans.push({ start: point(chapter, null), end: m[2] ? point(Number(m[2]), null) : null });
+        state.chapter = m[2] ? Number(m[2]) : chapter;
+        return spans;
+    }
+    if (book.singleChapter && !/^\d+,/.test(rest)) {
+        state.chapter = 1;
+    } else {
+        m = /^(\d+),/.exec(rest);
+        if (!m) {
+            errors.push(`Không hiểu "${text}"`);
+            return spans;
+        }
+        state.chapter = Number(m[1]);
+        rest = rest.slice(m[0].length);
+    }
+
+    let first = true;
+    while (rest.length > 0) {
+        if (!first) {
+            const sep = rest[0];
+            if (sep !== '.' && sep !== ',') break;
+            rest = rest.slice(1);
+            // ".2,21" sau dấu chấm: sang chương mới (chỉ khi số chương tăng)
+            const chapterChange = sep === '.' ? /^(\d+),(?=\d)/.exec(rest) : null;
+            if (chapterChange && Number(chapterChange[1]) > state.chapter) {
+                state.chapter = Number(chapterChange[1]);
+                rest = rest.slice(chapterChange[0].length);
+            }
+        }
+        first = false;
+
+        m = /^(\d+)([a-e]*)/.exec(rest);
+        if (!m) break;
+        const start = point(state.chapter, Number(m[1]), m[2]);
+        rest = rest.slice(m[0].length);
+        let end = null;
+        if (rest[0] === '-') {
+            // "35-10,1" là dãy qua chương khi số trước dấu phẩy lớn hơn chương hiện tại;
+            // ngược lại "1-2,3" hay "25-28,34-36" là các đoạn câu ngăn bằng dấu phẩy
+            const cross = /^-(\d+),(\d+)([a-e]*)(?![a-e\d-])/.exec(rest);
+            if (cross && Number(cross[1]) > state.chapter) {
+                end = point(Number(cross[1]), Number(cross[2]), cross[3]);
+                rest = rest.slice(cross[0].length);
+                state.chapter = end.chapter;
+            } else {
+                const simple = /^-(\d+)([a-e]*)/.exec(rest);
+                if (!simple) break;
+                end = point(state.chapter, Number(simple[1]), simple[2]);
+                rest = rest.slice(simple[0].length);
+                if (end.verse < start.verse) errors.push(`Đoạn câu ngược: ${start.verse}-${end.verse}`);
+            }
+        }
+        spans.push({ start, end });
+    }
+    if (rest.length > 0) errors.push(`Không hiểu "${rest}" trong "${text}"`);
+    return spans;
+}
+
+// Một phần trích dẫn (không nhãn, không lựa chọn) → { passages, errors }
+function parseBibleReferenceBody(text) {
+    const passages = [];
+    const errors = [];
+    const state = { chapter: null };
+    let current = null;
+
+    text.split(';').map(s => s.trim()).filter(Boolean).forEach(group => {
+        const matched = matchBibleBook(group);
+        if (matched && matched.unknown) {
+            errors.push(`Không nhận ra sách "${matched.unknown}"`);
+            current = null;
+            return;
+        }
+        if (matched) {
+            current = { book: matched.book.id, abbr: matched.book.abbr, name: matched.book.name, spans: [] };
+            passages.push(current);
+            state.chapter = null;
+            group = matched.rest;
+        } else if (!current) {
+            errors.push(`Thiếu tên sách: "${group}"`);
+            return;
+        }
+        const body = group
+            .replace(/(\d)\s*:\s*(?=\d)/g, '$1,')
+            .replace(/\s*([,.\-])\s*/g, '$1')
+            .replace(/[.,:)]+$/, '')
+            .replace(/\s+/g, '.');
+        current.spans.push(...parseBibleGroup(body, getBibleBook(current.book), state, errors));
+    });
+    if (passages.length === 0 && errors.length === 0) errors.push('Không có trích dẫn Kinh Thánh');
+    return { passages, errors };
+}
+
+/**
+ * Phân tích trích dẫn Kinh Thánh kiểu Việt Nam.
+ * Nhận cả nhãn ("(Năm I) Dt 1,1-6", "Phúc Âm: Mt 18,21-35"), bài thay thế
+ * ("Dc 3,1-4a (hay 2 Cr 5,14-17)", "Mt 13,1-9 {hoặc 1-23}"), bài theo năm
+ * ("(A) Mt 28,1-10; (B) Mc 16,1-8") và ghi chú ("(bài dài)", "(Hr 8,23b-9,3)").
+ * @param {string} input
+ * @returns {{input: string, label: string|null, passages: Object[], alternatives: Object[],
+ *   notes: string[], canonical: string|null, valid: boolean, errors: string[]}}
+ *   passages: [{ book: 'ISA', abbr: 'Is', name, spans: [{ start: {chapter, verse, part}, end }] }]
+ */
+function parseBibleReference(input) {
+    const raw = input == null ? '' : String(input);
+    let text = raw.normalize('NFC')
+        .replace(/[\u2010-\u2015]/g, '-')
+        .replace(/\u00a0/g, ' ')
+        .replace(/\s*,?\s*và\s*(?=\d)/g, '.')
+        .replace(/\s*,?\s*và\s+(?=\p{L})/gu, '; ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Ngoặc chứa ghi chú và/hoặc bài thay thế: "(bài dài)", "(hay ...)", "{hoặc 1-19}", "(bài dài; hoặc 1,18-25)"
+    const notes = [];
+    const alternativeTexts = [];
+    text = text.replace(/[(\[{]([^()\[\]{}]*)[)\]}]/g, (group, inner) => {
+        const keyword = /(?:^|;)\s*(?:hay|hoặc)\s+/i.exec(inner);
+        const head = (keyword ? inner.slice(0, keyword.index) : inner).split(';').map(s => s.trim()).filter(Boolean);
+        if (!head.every(note => BIBLE_REFERENCE_NOTES.some(re => re.test(note)))) return group;
+        notes.push(...head);
+        if (keyword) {
+            alternativeTexts.push(...inner.slice(keyword.index + keyword[0].length).split(/;\s*(?:hay|hoặc)\s+/i));
+        }
+        return ' ';
+    }).replace(/\s+/g, ' ').trim();
+    // "Mt 6,24-34 hoặc Mt 8,23-27" (ngoài ngoặc)
+    const bare = text.split(/\s+(?:hay|hoặc)\s+/i);
+    text = bare[0];
+    alternativeTexts.push(...bare.slice(1));
+    // Cả trích dẫn nằm trong ngoặc: "(Mt 9,35 - 10,1.6-8)"
+    const wrapped = /^\(([^()]*)\)$/.exec(text);
+    if (wrapped && matchBibleBook(wrapped[1].trim())) text = wrapped[1].trim();
+
+    // Tách theo nhãn: "Nhãn:" ở đầu, "(...)" trước mỗi phần
+    const pieces = [];
+    let label = null;
+    const prefixLabel = /^([^\d():;]+):\s*/.exec(text);
+    if (prefixLabel && !matchBibleBook(text)) {
+        label = prefixLabel[1].trim();
+        text = text.slice(prefixLabel[0].length);
+    }
+    const labelPattern = /\(\s*([^()]*?)\s*\)/g;
+    const trimPiece = t => t.replace(/^[\s;:,]+|[\s;:,]+$/g, '');
+    let last = 0;
+    let m;
+    while ((m = labelPattern.exec(text)) !== null) {
+        const before = trimPiece(text.slice(last, m.index));
+        // Phần trống trước nhãn đầu tiên ("(Năm I) Dt ...") không phải một phần riêng
+        if (before || last > 0) pieces.push({ label, text: before });
+        label = m[1];
+        last = labelPattern.lastIndex;
+    }
+    pieces.push({ label, text: trimPiece(text.slice(last)) });
+    const main = pieces.find(p => p.text) || pieces[0];
+
+    const build = (piece) => {
+        const body = piece.text ? parseBibleReferenceBody(piece.text) : { passages: [], errors: ['Không có trích dẫn Kinh Thánh'] };
+        const ref = { label: piece.label || null, passages: body.passages, errors: body.errors };
+        ref.valid = ref.errors.length === 0;
+        ref.canonical = ref.passages.length > 0 ? formatBibleReference(ref) : null;
+        return ref;
+    };
+
+    const result = build(main);
+    // Bài thay thế không ghi sách ("hoặc 1-19", "hoặc 1,18-25") dùng sách/chương của bài chính
+    const lastPassage = result.passages[result.passages.length - 1];
+    const inherit = (altText) => {
+        const t = altText.trim();
+        if (!lastPassage || matchBibleBook(t)) return t;
+        const lastSpan = lastPassage.spans[lastPassage.spans.length - 1];
+        const chapter = lastSpan ? (lastSpan.end || lastSpan.start).chapter : null;
+        const single = getBibleBook(lastPassage.book).singleChapter;
+        return /^\d+\s*,/.test(t) || single || chapter == null
+            ? `${lastPassage.abbr} ${t}`
+            : `${lastPassage.abbr} ${chapter},${t}`;
+    };
+
+    result.input = raw;
+    result.alternatives = pieces.filter(p => p !== main && p.text).map(build)
+        .concat(alternativeTexts.map(t => build({ label: null, text: inherit(t) })));
+    result.notes = notes;
+    pieces.filter(p => p !== main && !p.text).forEach(p => {
+        result.errors.push(`Không hiểu "(${p.label})"`);
+    });
+    result.alternatives.forEach(alt => {
+        alt.errors.forEach(e => result.errors.push(e));
+    });
+    result.valid = result.errors.length === 0;
+    result.canonical = result.passages.length > 0 ? formatBibleReference(result) : null;
+    return result;
+}
+
+// Một đoạn sách → "Is 63,16-17.19; 64,2-7" (sách một chương không ghi số chương)
+function formatBiblePassage(passage) {
+    const book = getBibleBook(passage.book);
+    const single = book && book.singleChapter;
+    let out = '';
+    let chapter = null;
+    passage.spans.forEach(span => {
+        const { start, end } = span;
+        if (start.verse == null) {
+            out += (out ? '; ' : '') + start.chapter + (end ? `-${end.chapter}` : '');
+            chapter = null;
+            return;
+        }
+        if (start.chapter !== chapter) {
+            out += (out ? '; ' : '') + (single ? '' : `${start.chapter},`);
+        } else {
+            out += '.';
+        }
+        out += `${start.verse}${start.part || ''}`;
+        if (end) {
+            out += '-' + (end.chapter !== start.chapter ? `${end.chapter},` : '') + `${end.verse}${end.part || ''}`;
+        }
+        chapter = end ? end.chapter : start.chapter;
+    });
+    return `${passage.abbr} ${out}`;
+}
+
+/**
+ * In lại trích dẫn đã phân tích theo dạng chuẩn.
+ * @param {Object} ref - kết quả parseBibleReference
+ * @returns {string}
+ */
+function formatBibleReference(ref) {
+    if (!ref) return '';
+    const own = (r) => (r.label ? `(${r.label}) ` : '') + r.passages.map(formatBiblePassage).join('; ');
+    let out = own(ref);
+    (ref.alternatives || []).forEach(alt => {
+        out += alt.label ? `; ${own(alt)}` : ` (hay ${own(alt)})`;
+    });
+    (ref.notes || []).forEach(note => {
+        out += ` (${note})`;
+    });
+    return out;
+}
+
+// Dạng chuẩn của một trích dẫn; giữ nguyên chuỗi gốc nếu không phân tích được
+function normalizeBibleReference(input) {
+    if (!input) return input;
+    const ref = parseBibleReference(input);
+    return ref.valid ? ref.canonical : String(input).trim();
+}
+
+// Trích dẫn có cấu trúc của một bộ bài đọc: { reading1, psalm, reading2, gospel } (null nếu thiếu)
+function parseReadingReferences(readingData) {
+    const refs = extractReadingReferences(readingData);
+    if (!refs) return null;
+    const parsed = {};
+    Object.keys(refs).forEach(key => {
+        parsed[key] = refs[key] ? parseBibleReference(refs[key]) : null;
+    });
+    return parsed;
+}
+
+/**
+ * Liệt kê trích dẫn không phân tích được trong toàn bộ chỉ mục bài đọc.
+ * @returns {Array<{code, source, cycle, weekdayCycle, option, field, input, errors}>}
+ */
+function findUnparseableReferences() {
+    const fields = { firstReading: 'reading1', psalms: 'psalm', secondReading: 'reading2', gospel: 'gospel', alleluia: 'alleluia' };
+    const report = [];
+    Object.keys(LECTIONARY_INDEX).forEach(code => {
+        LECTIONARY_INDEX[code].forEach(entry => {
+            if (!entry.data) return;
+            Object.keys(fields).forEach(key => {
+                const excerpt = entry.data[key] && entry.data[key].excerpt;
+                if (!excerpt) return;
+                const ref = parseBibleReference(excerpt);
+                if (ref.valid) return;
+                report.push({
+                    code,
+                    source: entry.source,
+                    cycle: entry.cycle,
+                    weekdayCycle: entry.weekdayCycle,
+                    option: entry.option,
+                    field: fields[key],
+                    input: excerpt,
+                    errors: ref.errors
+                });
+            });
+        });
+    });
+    return report;
+}
+
+// ============================================================================
+// CHỈ MỤC BÀI ĐỌC (LECTIONARY INDEX)
+// Gom mọi nguồn bài đọc (READINGS_DATA, Sunday.js, DailySeason.js, readings_year_1/2.js,
+// SaintsBible.js, Optionsaint.js) vào một chỉ mục duy nhất, xây một lần khi nạp engine.
+// Mọi nơi cần bài đọc (modal, header, tooltip, export, lectionary.html) đều tra qua
+// lookupLectionary() nên cùng một ngày luôn ra cùng một bộ bài đọc.
+// Không có file toàn văn (index.html) thì dùng Reading/chunks/index.js: chỉ trích dẫn,
+// toàn văn nạp theo phần khi cần (xem NẠP TOÀN VĂN THEO PHẦN bên dưới).
+// ============================================================================
+
+// Thứ tự nguồn khi hai bộ bài đọc ngang nhau (cùng có/không có toàn văn, cùng mức khớp năm)
+const LECTIONARY_SOURCES = [
+    { id: 'SUNDAY', get: () => (typeof READINGS_SUNDAY !== 'undefined' ? READINGS_SUNDAY : lectionaryChunkStore('SUNDAY')) },
+    { id: 'SEASONAL', get: () => (typeof READINGS_SEASONAL !== 'undefined' ? READINGS_SEASONAL : lectionaryChunkStore('SEASONAL')) },
+    { id: 'ORDINARY_Y1', weekdayCycle: '1', get: () => (typeof READINGS_ORDINARY_Y1 !== 'undefined' ? READINGS_ORDINARY_Y1 : lectionaryChunkStore('ORDINARY_Y1')) },
+    { id: 'ORDINARY_Y2', weekdayCycle: '2', get: () => (typeof READINGS_ORDINARY_Y2 !== 'undefined' ? READINGS_ORDINARY_Y2 : lectionaryChunkStore('ORDINARY_Y2')) },
+    { id: 'SPECIAL', get: () => (typeof READINGS_SPECIAL !== 'undefined' ? READINGS_SPECIAL : lectionaryChunkStore('SPECIAL')) },
+    { id: 'OPTION_SAINT', get: () => (typeof OptionsaintReadings !== 'undefined' ? OptionsaintReadings : lectionaryChunkStore('OPTION_SAINT')) },
+    { id: 'READINGS_DATA', get: () => (typeof READINGS_DATA !== 'undefined' ? READINGS_DATA : null) }
+];
+
+// Bản trích dẫn của một nguồn toàn văn trong Reading/chunks/index.js (null nếu không nạp file đó)
+function lectionaryChunkStore(sourceId) {
+    if (typeof LECTIONARY_CHUNK_INDEX === 'undefined' || !LECTIONARY_CHUNK_INDEX.sources) return null;
+    return LECTIONARY_CHUNK_INDEX.sources[sourceId] || null;
+}
+
+// Mã dùng chung bài đọc với mã khác (tra sau mã gốc)
+const LECTIONARY_ALIASES = {
+    "2030": ["6000"],   // Lễ Hiển Linh: Sunday.js dùng mã 6000
+    "4080": ["4070"],   // Thăng Thiên: bài đọc Chúa Nhật VII Phục Sinh trong Sunday.js
+    "4089": ["4076"],   // Vọng Hiện Xuống: bài đọc Thứ Bảy Tuần VII Phục Sinh
+    "5001": ["5410"],   // Hiện Xuống (mã cũ trong Sunday.js)
+    "5002": ["5420"],   // Ba Ngôi
+    "5003": ["5430"],   // Mình Máu Thánh
+    "5004": ["5440"],   // Thánh Tâm
+    "8441": ["5446"]    // Trái Tim Vô Nhiễm Mẹ: Lc 2,41-51 trong readings_year_1/2.js
+};
+
+// Các lễ có nhiều bộ bài đọc (option): mã năm riêng trong readingdata.js,
+// hậu tố khóa trong SaintsBible.js (22512D, 22512R); plainKey = bộ lưu dưới khóa không hậu tố
+const LECTIONARY_OPTIONS = {
+    "22512": {
+        primary: 'R',
+        forms: [
+            { option: 'D', label: "Lễ Đêm" },
+            { option: 'B', label: "Lễ Rạng Đông", plainKey: true },
+            { option: 'R', label: "Lễ Ban Ngày" }
+        ]
+    }
+};
+
+const SUNDAY_CYCLES = ['A', 'B', 'C'];
+
+// Một phần bài đọc có toàn văn? (text: bản trích dẫn của chỉ mục chunk, toàn văn chưa nạp)
+function readingPartHasText(part) {
+    if (!part) return false;
+    return Boolean(part.content || (part.verses && part.verses.length > 0) || part.text);
+}
+
+// Có toàn văn (không chỉ trích dẫn)?
+function hasReadingFullText(data) {
+    if (!data) return false;
+    return readingPartHasText(data.firstReading) || readingPartHasText(data.gospel) || readingPartHasText(data.psalms);
+}
+
+// Dòng READINGS_DATA (reading1, psalm, reading2, gospel) → format chuẩn
+// (firstReading, psalms, secondReading, gospel), giữ nguyên các trường gốc để tương thích ngược
+function normalizeReadingSummary(row) {
+    return {
+        firstReading: row.reading1 ? { excerpt: row.reading1 } : null,
+        psalms: row.psalm ? { excerpt: row.psalm } : null,
+        secondReading: row.reading2 ? { excerpt: row.reading2 } : null,
+        gospel: row.gospel ? { excerpt: row.gospel } : null,
+        reading1: row.reading1,
+        psalm: row.psalm,
+        reading2: row.reading2,
+        gospel: row.gospel,
+        code: row.code,
+        year: row.year
+    };
+}
+
+// Khóa nguồn toàn văn → { code, option } (22512D → 22512 / D)
+function parseLectionaryKey(key) {
+    const optionSet = LECTIONARY_OPTIONS[key];
+    if (optionSet) {
+        const plain = optionSet.forms.find(f => f.plainKey);
+        return { code: key, option: plain ? plain.option : null };
+    }
+    const m = /^(\d+)([A-Z])$/.exec(key);
+    if (m && LECTIONARY_OPTIONS[m[1]] && LECTIONARY_OPTIONS[m[1]].forms.some(f => f.option === m[2])) {
+        return { code: m[1], option: m[2] };
+    }
+    return { code: key, option: null };
+}
+
+// Mã năm trong READINGS_DATA → { cycle, weekdayCycle, option }
+// "0" = dùng chung, "1"/"2" = năm lẻ/chẵn, A/B/C = năm Chúa Nhật, còn lại = bộ bài đọc riêng (V, D, R)
+function parseLectionaryYear(code, year) {
+    const optionSet = LECTIONARY_OPTIONS[code];
+    if (optionSet && optionSet.forms.some(f => f.option === year)) {
+        return { cycle: null, weekdayCycle: null, option: year };
+    }
+    if (year === "0") return { cycle: null, weekdayCycle: null, option: null };
+    if (year === "1" || year === "2") return { cycle: null, weekdayCycle: year, option: null };
+    if (SUNDAY_CYCLES.includes(year)) return { cycle: year, weekdayCycle: null, option: null };
+    return { cycle: null, weekdayCycle: null, option: year };
+}
+
+// Các bộ bài đọc của một nguồn toàn văn (khóa → bộ bài đọc, hoặc { A, B, C } như Sunday.js):
+// [{ code, source, cycle, weekdayCycle, option, data }]
+function readLectionaryStore(src, store) {
+    const entries = [];
+    Object.keys(store).forEach(key => {
+        const value = store[key];
+        if (!value || typeof value !== 'object') return;
+        const { code, option } = parseLectionaryKey(key);
+        const base = { code, source: src.id, weekdayCycle: src.weekdayCycle || null, option };
+        // Sunday.js: { A: {...}, B: {...}, C: {...} }
+        const cycles = SUNDAY_CYCLES.filter(c => value[c]);
+        if (cycles.length > 0 && !value.firstReading && !value.gospel) {
+            cycles.forEach(cycle => entries.push({ ...base, cycle, data: value[cycle] }));
+        } else {
+            entries.push({ ...base, cycle: null, data: value });
+        }
+    });
+    return entries;
+}
+
+// Xây chỉ mục: mã (chuỗi) → danh sách { code, source, cycle, weekdayCycle, option, fullText, data }
+function buildLectionaryIndex() {
+    const index = {};
+    let order = 0;
+    const add = (entry) => {
+        entry.fullText = hasReadingFullText(entry.data);
+        entry.order = order++;
+        (index[entry.code] = index[entry.code] || []).push(entry);
+    };
+
+    LECTIONARY_SOURCES.forEach(src => {
+        const store = src.get();
+        if (!store) return;
+
+        if (Array.isArray(store)) {
+            store.forEach(row => {
+                const code = String(row.code);
+                add({ code, source: src.id, ...parseLectionaryYear(code, String(row.year)), data: normalizeReadingSummary(row) });
+            });
+            return;
+        }
+
+        readLectionaryStore(src, store).forEach(add);
+    });
+
+    return index;
+}
+
+const LECTIONARY_INDEX = buildLectionaryIndex();
+
+// So sánh thứ hạng (mảng số, nhỏ hơn = ưu tiên hơn)
+function compareLectionaryRank(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Tra chỉ mục bài đọc: bộ bài đọc phù hợp nhất cho một mã.
+ * Thứ tự ưu tiên: toàn văn trước trích dẫn → đúng năm (Chúa Nhật: A/B/C trước bài chung,
+ * ngày thường: bài chung trước) → mã gốc trước mã dùng chung → thứ tự LECTIONARY_SOURCES.
+ * Bộ bài đọc của năm khác (A/B/C, 1/2) không bao giờ được chọn.
+ * @param {string|number} code - mã bài đọc (4 số theo mùa, 2DDMM, 7DDMM, 8DDMM...)
+ * @param {Object} [ctx]
+ * @param {string} [ctx.cycle] - năm Chúa Nhật A/B/C
+ * @param {string} [ctx.weekdayCycle] - năm ngày thường "1"/"2"
+ * @param {boolean} [ctx.sunday=false] - đang tra cho Chúa Nhật
+ * @param {string} [ctx.option] - bộ bài đọc (vd. 'D' = Lễ Đêm Giáng Sinh); mặc định bộ chính
+ * @param {string[]} [ctx.sources] - chỉ tra các nguồn này (id trong LECTIONARY_SOURCES)
+ * @param {boolean} [ctx.fullText=false] - chỉ nhận bộ có toàn văn
+ * @param {boolean} [ctx.aliases=true] - tra cả mã dùng chung (LECTIONARY_ALIASES)
+ * @returns {Object|null} { code, source, cycle, weekdayCycle, option, fullText, data, alias }
+ */
+function lookupLectionary(code, ctx = {}) {
+    if (code === null || code === undefined || code === '') return null;
+    const key = String(code);
+    const { cycle = null, weekdayCycle = null, sunday = false, sources = null, fullText = false, aliases = true } = ctx;
+    const option = ctx.option || (LECTIONARY_OPTIONS[key] ? LECTIONARY_OPTIONS[key].primary : null);
+    const codes = aliases ? [key].concat(LECTIONARY_ALIASES[key] || []) : [key];
+    const sourceRank = id => LECTIONARY_SOURCES.findIndex(s => s.id === id);
+
+    let best = null;
+    let bestRank = null;
+    codes.forEach((c, aliasRank) => {
+        (LECTIONARY_INDEX[c] || []).forEach(entry => {
+            if (sources && !sources.includes(entry.source)) return;
+            if (fullText && !entry.fullText) return;
+            if (cycle && entry.cycle && entry.cycle !== cycle) return;
+            if (weekdayCycle && entry.weekdayCycle && entry.weekdayCycle !== weekdayCycle) return;
+            if (option && entry.option && entry.option !== option) return;
+            if (option && !entry.option && LECTIONARY_OPTIONS[c]) return;
+
+            const rank = [
+                entry.fullText ? 0 : 1,
+                entry.cycle ? (sunday ? 0 : 1) : (sunday ? 1 : 0),
+                entry.option === option ? 0 : 1,
+                aliasRank,
+                sourceRank(entry.source),
+                entry.order
+            ];
+            if (!bestRank || compareLectionaryRank(rank, bestRank) < 0) {
+                best = entry;
+                bestRank = rank;
+            }
+        });
+    });
+
+    if (!best) return null;
+    const { order, ...result } = best;
+    return { ...result, alias: best.code !== key ? best.code : null };
+}
+
+// Các bộ bài đọc của một lễ nhiều bộ (Giáng Sinh): [{ option, label, source, data }]
+function getLectionaryOptions(code, ctx = {}) {
+    const optionSet = LECTIONARY_OPTIONS[String(code)];
+    if (!optionSet) return [];
+    return optionSet.forms.map(form => {
+        const entry = lookupLectionary(code, { ...ctx, option: form.option });
+        return entry ? { option: form.option, label: form.label, source: entry.source, data: entry.data } : null;
+    }).filter(Boolean);
+}
+
+// Như lookupLectionary, nhưng lễ nhiều bộ bài đọc (khi không chỉ định option) trả về
+// data = { options: [...], primary } để người dùng chọn (modal, CLI)
+function resolveLectionary(code, ctx = {}) {
+    const optionSet = code ? LECTIONARY_OPTIONS[String(code)] : null;
+    if (optionSet && !ctx.option) {
+        const options = getLectionaryOptions(code, ctx);
+        const primary = options.find(o => o.option === optionSet.primary) || options[0];
+        if (primary) {
+            return {
+                code: String(code),
+                source: primary.source,
+                cycle: null,
+                weekdayCycle: null,
+                option: null,
+                fullText: options.some(o => hasReadingFullText(o.data)),
+                data: { options, primary: primary.option },
+                alias: null
+            };
+        }
+    }
+    return lookupLectionary(code, ctx);
+}
+
+// Trích dẫn (reading1, psalm, reading2, gospel) của bộ bài đọc tra được, hoặc null
+function getLectionaryReferences(code, ctx = {}) {
+    const entry = lookupLectionary(code, ctx);
+    return entry ? extractReadingReferences(entry.data) : null;
+}
+
+// Các bộ bài đọc của một ngày, theo từng loại (đồng bộ; khi nạp theo phần, data có thể chỉ là
+// bản trích dẫn - toàn văn: getFullReadings):
+// [{ type: 'seasonal'|'sanctoral'|'special'|'tet'|'vigil', data, source, code, vigilInfo? }]
+function getReadingSets(code, sanctoralCode, specialCode, dayOfWeek, cycle, weekdayCycle, tetCode = null, vigilInfo = null) {
+    const ctx = { cycle, weekdayCycle, sunday: dayOfWeek === 0 };
+    const results = [];
+    const push = (type, entry, extra = {}) => {
+        if (entry && entry.data) results.push({ type, data: entry.data, source: entry.source, code: entry.code, ...extra });
+    };
+
+    // 1. Bài đọc theo mùa (temporal); Giáng Sinh trả về đủ các bộ bài đọc (options)
+    // Mã ngày là mã thánh (7DDMM) thì bài đọc nằm ở mục sanctoral bên dưới
+    if (code !== sanctoralCode) {
+        push('seasonal', resolveLectionary(code, ctx));
+    }
+
+    // 2. Bài đọc riêng của thánh (7DDMM) - Lễ Trọng, Lễ Kính
+    if (sanctoralCode) {
+        push('sanctoral', lookupLectionary(sanctoralCode, ctx));
+    }
+
+    // 3. Bài đọc tùy chọn (Optionsaint.js): mã ngày (8441...), specialCode (8DDMM), rồi 7DDMM → 8DDMM;
+    // không có thì dùng SaintsBible.js theo specialCode
+    const optionCodes = [code, specialCode, sanctoralCode ? sanctoralCode.replace(/^7/, '8') : null];
+    let optionEntry = null;
+    for (const c of optionCodes) {
+        optionEntry = lookupLectionary(c, { ...ctx, sources: ['OPTION_SAINT'], aliases: false });
+        if (optionEntry) break;
+    }
+    push('special', optionEntry || lookupLectionary(specialCode, { ...ctx, sources: ['SPECIAL'], aliases: false }));
+
+    // 4. Bài đọc Tết (70001, 70002, 70003)
+    if (tetCode) {
+        push('tet', lookupLectionary(tetCode, ctx));
+    }
+
+    // 5. Lễ vọng (nếu có)
+    if (vigilInfo && vigilInfo.vigilCode) {
+        push('vigil', lookupLectionary(vigilInfo.vigilCode, ctx), { vigilInfo });
+    }
+
+    return results;
+}
+
+// Bài đọc đầy đủ của một ngày (như getReadingSets), nạp trước các phần toàn văn còn thiếu
+// Trả về Promise<[{ type, data, source, code, vigilInfo? }]>
+async function getFullReadings(code, sanctoralCode, specialCode, dayOfWeek, cycle, weekdayCycle, tetCode = null, vigilInfo = null) {
+    const args = [code, sanctoralCode, specialCode, dayOfWeek, cycle, weekdayCycle, tetCode, vigilInfo];
+    const sets = getReadingSets(...args);
+    const pending = [...new Set(sets.flatMap(item => pendingReadingChunks(item.data)))];
+    if (pending.length === 0) return sets;
+    await loadLectionaryChunks(pending);
+    return getReadingSets(...args);
+}
+
+// ============================================================================
+// NẠP TOÀN VĂN THEO PHẦN (LAZY CHUNKS)
+// index.html chỉ nạp Reading/chunks/index.js (LECTIONARY_CHUNK_INDEX: trích dẫn + phần chứa
+// toàn văn, do js/build-reading-chunks.js tạo). Mỗi phần Reading/chunks/<nguồn>-<mùa|tháng>.js
+// gọi registerLectionaryChunk(); engine không tự tải file - nơi dùng (controller, Node)
+// cung cấp cách nạp qua setLectionaryChunkLoader().
+// ============================================================================
+
+const LECTIONARY_LOADED_CHUNKS = new Set();
+const LECTIONARY_CHUNK_LOADS = new Map(); // id → Promise đang nạp
+let lectionaryChunkLoader = null;
+
+/**
+ * Cách nạp một phần toàn văn.
+ * @param {Function|null} loader - (chunk: { id, file, source, hash, bytes }) => Promise; promise xong khi
+ *   file phần đó đã chạy (gọi registerLectionaryChunk)
+ */
+function setLectionaryChunkLoader(loader) {
+    if (loader !== null && typeof loader !== 'function') {
+        throw new TypeError('Hàm nạp toàn văn bài đọc phải là function hoặc null');
+    }
+    lectionaryChunkLoader = loader;
+}
+
+// Gọi từ file Reading/chunks/<id>.js: thay bản trích dẫn trong chỉ mục bằng toàn văn
+function registerLectionaryChunk(id, stores) {
+    Object.keys(stores).forEach(sourceId => {
+        const src = LECTIONARY_SOURCES.find(s => s.id === sourceId);
+        if (!src) return;
+        readLectionaryStore(src, stores[sourceId]).forEach(loaded => {
+            const entry = (LECTIONARY_INDEX[loaded.code] || []).find(e => e.source === loaded.source &&
+                e.cycle === loaded.cycle && e.option === loaded.option && e.data && e.data.chunk === id);
+            if (!entry) return;
+            entry.data = loaded.data;
+            entry.fullText = hasReadingFullText(loaded.data);
+        });
+    });
+    LECTIONARY_LOADED_CHUNKS.add(id);
+}
+
+// Các phần toàn văn chưa nạp của một bộ bài đọc (kể cả các bộ trong options)
+function pendingReadingChunks(data) {
+    if (!data) return [];
+    if (Array.isArray(data.options)) return data.options.flatMap(o => pendingReadingChunks(o.data));
+    return data.chunk && !LECTIONARY_LOADED_CHUNKS.has(data.chunk) ? [data.chunk] : [];
+}
+
+function loadLectionaryChunk(id) {
+    if (LECTIONARY_LOADED_CHUNKS.has(id)) return Promise.resolve();
+    if (LECTIONARY_CHUNK_LOADS.has(id)) return LECTIONARY_CHUNK_LOADS.get(id);
+    const chunks = typeof LECTIONARY_CHUNK_INDEX !== 'undefined' ? LECTIONARY_CHUNK_INDEX.chunks || {} : {};
+    if (!chunks[id]) return Promise.reject(new RangeError(`Không có phần toàn văn bài đọc: ${id}`));
+    if (!lectionaryChunkLoader) {
+        return Promise.reject(new Error(`Chưa có cách nạp toàn văn bài đọc (setLectionaryChunkLoader) cho phần ${id}`));
+    }
+    const promise = Promise.resolve()
+        .then(() => lectionaryChunkLoader({ id, ...chunks[id] }))
+        .then(() => {
+            if (!LECTIONARY_LOADED_CHUNKS.has(id)) {
+                throw new Error(`Phần toàn văn ${chunks[id].file} không gọi registerLectionaryChunk("${id}")`);
+            }
+        })
+        .finally(() => LECTIONARY_CHUNK_LOADS.delete(id)); // lỗi mạng: lần sau thử lại
+    LECTIONARY_CHUNK_LOADS.set(id, promise);
+    return promise;
+}
+
+function loadLectionaryChunks(ids) {
+    return Promise.all(ids.map(loadLectionaryChunk));
+}
+
+// Nạp toàn văn các bộ bài đọc mà resolveLectionary(code, ctx) chọn cho từng mã
+// Trả về Promise<string[]> các phần vừa nạp
+async function loadLectionaryTexts(codes, ctx = {}) {
+    const pending = new Set();
+    codes.forEach(code => {
+        const entry = resolveLectionary(code, ctx);
+        if (entry) pendingReadingChunks(entry.data).forEach(id => pending.add(id));
+    });
+    await loadLectionaryChunks([...pending]);
+    return [...pending];
+}
+
+// Toàn văn các bộ bài đọc của những mã này đã sẵn sàng (không cần nạp thêm)?
+function isLectionaryTextLoaded(codes, ctx = {}) {
+    return codes.every(code => {
+        const entry = resolveLectionary(code, ctx);
+        return !entry || pendingReadingChunks(entry.data).length === 0;
+    });
+}
+
+// Tìm bài đọc của một mã trong tất cả các nguồn (year: A/B/C, "1"/"2" hoặc mã bộ bài đọc)
+// Trả về { source, data } hoặc null
+function findReadingFromAllSources(code, year = null) {
+    const ctx = {};
+    if (SUNDAY_CYCLES.includes(year)) {
+        ctx.cycle = year;
+        ctx.sunday = true;
+    } else if (year === "1" || year === "2") {
+        ctx.weekdayCycle = year;
+    } else if (year && year !== "0") {
+        ctx.option = year;
+    }
+    const entry = lookupLectionary(code, ctx);
+    return entry ? { source: entry.source, data: entry.data } : null;
+}
+
+// ============================================================================
+// KIỂM TRA DỮ LIỆU BÀI ĐỌC (TRÍCH DẪN ↔ TOÀN VĂN)
+// Đối chiếu từng dòng READINGS_DATA với excerpt của các bộ toàn văn cùng mã, cùng năm
+// (Sunday.js, DailySeason.js, readings_year_1/2.js, SaintsBible.js, Optionsaint.js).
+// ============================================================================
+
+const LECTIONARY_ISSUE_LABELS = Object.freeze({
+    mismatch: 'Khác sách/chương',
+    verses: 'Khác câu',
+    unparseable: 'Không phân tích được trích dẫn',
+    'missing-field': 'Thiếu một phần bài đọc',
+    'missing-text': 'Có trích dẫn, không có toàn văn',
+    orphan: 'Có toàn văn, không có trích dẫn',
+    duplicate: 'Trích dẫn trùng mã và năm'
+});
+
+const LECTIONARY_CHECK_FIELDS = [
+    { field: 'reading1', text: 'firstReading' },
+    { field: 'psalm', text: 'psalms' },
+    { field: 'reading2', text: 'secondReading' },
+    { field: 'gospel', text: 'gospel' }
+];
+
+// Thánh Vịnh: số Hy Lạp (LXX, Vulgata - sách lễ cũ) → số Híp-ri (bản CGKPV); 9, 113, 146-147 gộp/tách
+function psalmGreekToHebrew(n) {
+    if (n <= 8 || n >= 148) return [n];
+    if (n === 9) return [9, 10];
+    if (n <= 112) return [n + 1];
+    if (n === 113) return [114, 115];
+    if (n === 114 || n === 115) return [116];
+    if (n <= 145) return [n + 1];
+    return [147];
+}
+
+function psalmHebrewToGreek(n) {
+    if (n <= 8 || n >= 148) return [n];
+    if (n === 9 || n === 10) return [9];
+    if (n <= 113) return [n - 1];
+    if (n === 114 || n === 115) return [113];
+    if (n === 116) return [114, 115];
+    if (n <= 146) return [n - 1];
+    return [146, 147];
+}
+
+// Hai số Thánh Vịnh cùng một bài theo một trong hai cách đánh số
+function isSamePsalm(a, b) {
+    return a === b || psalmGreekToHebrew(a).includes(b) || psalmHebrewToGreek(a).includes(b);
+}
+
+/**
+ * So sánh hai trích dẫn đã phân tích (chỉ phần chính, bỏ nhãn, ghi chú, bài thay thế).
+ * Chỉ khác nửa câu ("6-10" / "6-10a") vẫn là 'same'.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object} [options]
+ * @param {boolean} [options.greekPsalms=false] - b đánh số Thánh Vịnh theo Hy Lạp, a theo Híp-ri
+ *   (mặc định chấp nhận cả hai chiều)
+ * @returns {'same'|'verses'|'psalm-numbering'|'mismatch'}
+ */
+function compareBibleReferences(a, b, options = {}) {
+    const wholeVerses = ref => formatBibleReference({
+        passages: ref.passages.map(p => ({
+            ...p,
+            spans: p.spans.map(s => ({ start: { ...s.start, part: null }, end: s.end ? { ...s.end, part: null } : null }))
+        }))
+    });
+    if (wholeVerses(a) === wholeVerses(b)) return 'same';
+    const chapters = ref => ref.passages.map(p => ({
+        book: p.book,
+        chapters: [...new Set(p.spans.flatMap(s => (s.end ? [s.start.chapter, s.end.chapter] : [s.start.chapter])))]
+    }));
+    const ca = chapters(a);
+    const cb = chapters(b);
+    if (ca.length !== cb.length || ca.some((p, i) => p.book !== cb[i].book || p.chapters.length !== cb[i].chapters.length)) {
+        return 'mismatch';
+    }
+    if (ca.every((p, i) => p.chapters.every((c, j) => c === cb[i].chapters[j]))) return 'verses';
+    const samePsalm = options.greekPsalms ? (ha, gb) => psalmGreekToHebrew(gb).includes(ha) : isSamePsalm;
+    const numbering = ca.every((p, i) => p.chapters.every((c, j) =>
+        c === cb[i].chapters[j] || (p.book === 'PSA' && samePsalm(c, cb[i].chapters[j]))));
+    return numbering ? 'psalm-numbering' : 'mismatch';
+}
+
+/**
+ * Đối chiếu trích dẫn READINGS_DATA với toàn văn, theo từng mã và năm (A/B/C, 1/2, bộ bài đọc).
+ * Thánh Vịnh chỉ khác cách đánh số (READINGS_DATA theo Híp-ri, toàn văn theo Hy Lạp)
+ * được coi là khớp và đếm riêng ở summary.psalmNumbering.
+ * @param {Object} [options]
+ * @param {string[]} [options.codes] - chỉ kiểm tra các mã này (mặc định: toàn bộ chỉ mục)
+ * @returns {{summary: Object, issues: Array<{type, code, year, source, field?, reference?, excerpt?, textCode?, detail?}>}}
+ */
+function checkLectionaryConsistency(options = {}) {
+    const codes = options.codes ? options.codes.map(String) : Object.keys(LECTIONARY_INDEX);
+    const yearOf = entry => entry.cycle || entry.weekdayCycle || entry.option || '0';
+    const compatible = (row, text) => ['cycle', 'weekdayCycle', 'option'].every(k => !row[k] || !text[k] || row[k] === text[k]);
+    const issues = [];
+    const summary = { references: 0, texts: 0, compared: 0, matched: 0, psalmNumbering: 0, issues: {} };
+    const paired = new Set();
+
+    codes.forEach(code => {
+        const rows = (LECTIONARY_INDEX[code] || []).filter(e => e.source === 'READINGS_DATA');
+        const texts = [code].concat(LECTIONARY_ALIASES[code] || [])
+            .flatMap(c => (LECTIONARY_INDEX[c] || []).filter(e => e.fullText));
+        summary.references += rows.length;
+
+        const seenYears = new Set();
+        rows.forEach(row => {
+            const year = yearOf(row);
+            if (seenYears.has(year)) {
+                issues.push({ type: 'duplicate', code, year, source: row.source });
+                return;
+            }
+            seenYears.add(year);
+
+            const matches = texts.filter(t => compatible(row, t));
+            if (matches.length === 0) {
+                issues.push({ type: 'missing-text', code, year, source: row.source });
+                return;
+            }
+            matches.forEach(text => {
+                paired.add(text);
+                LECTIONARY_CHECK_FIELDS.forEach(({ field, text: textField }) => {
+                    const reference = row.data[field];
+                    const excerpt = text.data[textField] && text.data[textField].excerpt;
+                    if (!reference && !excerpt) return;
+                    const base = {
+                        code, year, source: text.source, field, reference, excerpt,
+                        textCode: text.code !== code ? text.code : undefined,
+                        textYear: yearOf(text) !== year ? yearOf(text) : undefined
+                    };
+                    if (!reference || !excerpt) {
+                        issues.push({ type: 'missing-field', ...base, detail: reference ? 'Toàn văn thiếu phần này' : 'READINGS_DATA thiếu phần này' });
+                        return;
+                    }
+                    summary.compared++;
+                    const a = parseBibleReference(reference);
+                    const b = parseBibleReference(excerpt);
+                    if (!a.valid || !b.valid) {
+                        issues.push({ type: 'unparseable', ...base, detail: a.errors.concat(b.errors).join('; ') });
+                        return;
+                    }
+                    const result = compareBibleReferences(a, b, { greekPsalms: true });
+                    if (result === 'same' || result === 'psalm-numbering') {
+                        summary.matched++;
+                        if (result === 'psalm-numbering') summary.psalmNumbering++;
+                    } else {
+                        issues.push({ type: result, ...base, detail: `${a.canonical} ≠ ${b.canonical}` });
+                    }
+                });
+            });
+        });
+    });
+
+    // Toàn văn không cặp được với dòng READINGS_DATA nào (kể cả qua mã dùng chung)
+    codes.forEach(code => {
+        (LECTIONARY_INDEX[code] || []).forEach(entry => {
+            if (!entry.fullText) return;
+            summary.texts++;
+            if (paired.has(entry)) return;
+            const aliasOf = Object.keys(LECTIONARY_ALIASES).filter(c => LECTIONARY_ALIASES[c].includes(code));
+            const viaAlias = aliasOf.some(c => (LECTIONARY_INDEX[c] || []).some(e => e.source === 'READINGS_DATA' && compatible(e, entry)));
+            if (!viaAlias) issues.push({ type: 'orphan', code, year: yearOf(entry), source: entry.source });
+        });
+    });
+
+    issues.forEach(issue => {
+        if (issue.textCode === undefined) delete issue.textCode;
+        if (issue.textYear === undefined) delete issue.textYear;
+        summary.issues[issue.type] = (summary.issues[issue.type] || 0) + 1;
+    });
+    return { summary, issues };
+}
+
+// Helper: xác định có phải ngày lễ vọng không (dùng chung, tránh trùng logic)
+function isVigilDay(date, dayCode, litData) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const m = date.getMonth();
+    const d = date.getDate();
+    const holySaturday = addDays(litData.easter, -1);
+    return dayCode === "4089" ||
+        (m === 11 && d === 24) ||
+        (dTime === t(holySaturday)) ||
+        (m === 9 && d === 31);
+}
+
+// Helper: nhận diện tên lễ vọng trong chuỗi (nếu có)
+function hasVigilName(name) {
+    if (!name) return false;
+    const normalized = String(name).toLowerCase();
+    if (normalized.includes('mùa vọng')) return false;
+    return normalized.includes('lễ vọng') ||
+        normalized.startsWith('vọng ') ||
+        normalized.includes(' vọng ') ||
+        normalized.includes('vọng-') ||
+        normalized.includes('canh thức') ||
+        normalized.includes('canh thuc');
+}
+
+// Helper: lấy thông tin lễ vọng khi đang ở NGÀY TRƯỚC lễ chính
+function getVigilEveInfo(date, litData) {
+    const nextDay = addDays(date, 1);
+    const nextDayVigil = getVigilInfo(nextDay, litData);
+    if (!nextDayVigil) return null;
+    return {
+        ...nextDayVigil,
+        isEve: true,
+        mainFeastDate: nextDay
+    };
+}
+
+// ============================================================================
+// CORE FUNCTION: Lấy toàn bộ thông tin phụng vụ cho một ngày
+// Hàm này là lõi (core) được dùng bởi renderCalendar, modal, tooltip, export
+// ============================================================================
+function getDayLiturgicalInfo(date, litData) {
+    // 1. Lấy thông tin phụng vụ cơ bản (từ precedence engine)
+    const info = getDayInfo(date, litData);
+
+    // 2. Lấy mã ngày phụng vụ
+    const dayCode = getLiturgicalDayCode(date, litData);
+
+    // 3. Lấy tuần phụng vụ chi tiết
+    const detailedWeek = getDetailedLiturgicalWeek(date, litData);
+
+    // 4. Kiểm tra lễ vọng (ngày chính và ngày trước đó)
+    const vigilInfo = getVigilInfo(date, litData);
+    const vigilEveInfo = getVigilEveInfo(date, litData);
+
+    // 5. Xác định dayLabel dựa trên bậc lễ (precedence)
+    const dayLabelText = getDayLabelFromPrecedence(date, info, dayCode, litData, detailedWeek, vigilEveInfo);
+
+    // 6. Lấy thông tin lịch âm
+    const lunar = typeof LUNAR_CALENDAR !== 'undefined' ? LUNAR_CALENDAR.getLunarDate(date) : null;
+
+    // 7. Lấy các mã phụng vụ khác
+    let sanctoralCode = getSanctoralDayCode(date);
+    if (info._forceSanctoralReadings && info._forceSanctoralKey) {
+        sanctoralCode = info._forceSanctoralKey;
+    }
+    const specialCode = getSpecialFeastCode(date, litData);
+    // Bài đọc Tết: chỉ khi chính sách xung đột Tết cho dùng (readings 'proper' / 'optional')
+    const tetCode = info.tetPolicy && info.tetPolicy.readings !== 'none' ? getTetReadingCode(date) : null;
+
+    // 8. Lấy chu kỳ phụng vụ
+    const cycle = getLiturgicalCycle(date, litData);
+    const weekdayCycle = date.getFullYear() % 2 !== 0 ? "1" : "2";
+
+    // 9. Xác định có phải ngày lễ vọng không (dùng helper chung)
+    const vigDay = isVigilDay(date, dayCode, litData) || hasVigilName(info.special) || Boolean(vigilEveInfo);
+
+    // 10. Format dayLabel với HTML (cho renderCalendar)
+    let dayLabel = "";
+    if (info.transferred && info.special) {
+        dayLabel = dayLabelText;
+    } else if (info.special) {
+        dayLabel = dayLabelText;
+    } else if (info.saints.length > 0) {
+        dayLabel = dayLabelText;
+    } else {
+        dayLabel = `<span class="ferial-label">${dayLabelText}</span>`;
+    }
+
+    // Trả về object chứa tất cả thông tin
+    return {
+        // Thông tin cơ bản
+        info: info,
+        dayCode: dayCode,
+        detailedWeek: detailedWeek,
+        dayLabelText: dayLabelText,
+        dayLabel: dayLabel, // HTML formatted
+
+        // Lịch âm
+        lunar: lunar,
+
+        // Mã phụng vụ
+        sanctoralCode: sanctoralCode,
+        specialCode: specialCode,
+        tetCode: tetCode,
+
+        // Chu kỳ
+        cycle: cycle,
+        weekdayCycle: weekdayCycle,
+
+        // Lễ vọng
+        vigilInfo: vigilInfo,
+        vigilEveInfo: vigilEveInfo,
+        isVigilDay: vigDay,
+
+        // Liturgical data
+        litData: litData
+    };
+}
+
+// Helper function: Xác định dayLabel dựa trên bậc lễ từ precedence engine (dùng chung cho renderCalendar, tooltip, export)
+function getDayLabelFromPrecedence(date, info, dayCode, litData, detailedWeek, vigilEveInfo = null) {
+    const t = d => { const c = new Date(d); c.setHours(0, 0, 0, 0); return c.getTime(); };
+    const dTime = t(date);
+    const holySaturday = addDays(litData.easter, -1);
+    const vigDay = isVigilDay(date, dayCode, litData) || Boolean(vigilEveInfo) || hasVigilName(info.special);
+    const normalizeFeastName = (name) => {
+        if (!name) return name;
+        if (name.includes("CHÚA GIÁNG SINH")) return "CHÚA GIÁNG SINH";
+        if (name.includes("Lễ Giáng Sinh")) return "CHÚA GIÁNG SINH";
+        return name;
+    };
+
+    // Ưu tiên: Lễ bị dời > Lễ cử hành chính > Sanctoral > Ngày thường
+    if (info.transferred && info.special) {
+        // Lễ bị dời đến ngày này
+        return normalizeFeastName(info.special);
+    } else if (info.special && !vigDay) {
+        // Cử hành chính (từ precedence) - BỎ QUA nếu là lễ vọng
+        return normalizeFeastName(info.special);
+    } else if (info.saints.length > 0) {
+        // Sanctoral (nếu không bị dời)
+        const saintName = info.saints[0].name.replace("Thánh ", "T.").replace("Đức Mẹ ", "ĐM.");
+        return normalizeFeastName(saintName);
+    } else {
+        // Ngày thường - Nếu là lễ vọng, hiển thị mùa phụng vụ thay vì tên lễ vọng
+        if (vigDay) {
+            // Hiển thị mùa phụng vụ thay vì tên lễ vọng
+            // Xử lý đặc biệt cho các mã lễ vọng
+            if (dayCode === "4089") {
+                // Vọng Hiện Xuống - Thứ Bảy tuần 7 Phục Sinh
+                return "Tuần VII Mùa Phục Sinh";
+            } else if (dayCode === "22412") {
+                // Lễ Vọng Giáng Sinh (24/12) - vẫn là Mùa Vọng
+                return `Mùa Vọng ngày ${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}`;
+            } else if (dayCode === "4076" && dTime === t(holySaturday)) {
+                // Canh Thức Vượt Qua (Thứ Bảy Tuần Thánh)
+                return "Tuần Thánh";
+            } else if (dayCode === "73110") {
+                // Lễ Vọng Các Thánh
+                return info.season || "Mùa Thường Niên";
+            } else {
+                // Fallback: dùng logic parse thông thường
+                const season = parseInt(dayCode.substring(0, 1));
+                const week = parseInt(dayCode.substring(1, 3));
+                const seasonNames = ["", "Mùa Vọng", "Mùa Giáng Sinh", "Mùa Chay", "Mùa Phục Sinh", "Thường Niên"];
+                if (week > 0 && season > 0 && season < 6) {
+                    return `Tuần ${toRoman(week)} ${seasonNames[season]}`;
+                } else {
+                    return info.season || "Mùa Thường Niên";
+                }
+            }
+        } else {
+            // Ngày thường bình thường
+            return detailedWeek || info.season || "Mùa Thường Niên";
+        }
+    }
+}
+
+
+// ============================================================================
+// PUBLIC API - Giao diện dùng chung cho trang web, Node, Web Worker, build script
+// ============================================================================
+
+// Chuẩn hóa tham số ngày: Date | 'YYYY-MM-DD' | [năm, tháng, ngày] → Date lúc 00:00 giờ địa phương
+// (Không dùng instanceof vì Date có thể đến từ realm khác, ví dụ vm context trong Node)
+function toEngineDate(input) {
+    let date = null;
+    if (Object.prototype.toString.call(input) === '[object Date]') {
+        date = new Date(input.getFullYear(), input.getMonth(), input.getDate());
+    } else if ((Array.isArray(input) && input.length >= 3) || typeof input === 'string') {
+        const m = Array.isArray(input) ? input : (input.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) || []).slice(1);
+        const [y, mo, d] = m.map(Number);
+        const candidate = new Date(y, mo - 1, d);
+        // Không cho tràn ngày/tháng (vd. 2027-02-30)
+        if (candidate.getFullYear() === y && candidate.getMonth() === mo - 1 && candidate.getDate() === d) {
+            date = candidate;
+        }
+    } else if (input === undefined || input === null) {
+        // Hôm nay theo múi giờ lịch (setCalendarTimeZone)
+        date = getCalendarToday();
+    }
+    if (!date || isNaN(date.getTime())) {
+        throw new TypeError(`Ngày không hợp lệ: ${input} (dùng Date, 'YYYY-MM-DD' hoặc [năm, tháng, ngày])`);
+    }
+    return date;
+}
+
+// Rút trích dẫn bài đọc từ các format dữ liệu khác nhau
+// Format 1: firstReading, psalms, secondReading, gospel (có excerpt)
+// Format 2: reading1, psalm, reading2, gospel (từ READINGS_DATA)
+// Format 3: BD1_ref, DC_ref, BD2_ref, TM_ref (format cũ)
+function extractReadingReferences(readingData) {
+    if (!readingData) return null;
+    // Lễ nhiều bộ bài đọc (Giáng Sinh): lấy bộ chính
+    if (Array.isArray(readingData.options)) {
+        const primary = primaryReadingSet(readingData);
+        return primary ? extractReadingReferences(primary) : null;
+    }
+    const reading1 = readingData.firstReading?.excerpt ||
+        readingData.reading1 ||
+        readingData.BD1_ref ||
+        null;
+    const psalm = readingData.psalms?.excerpt ||
+        readingData.psalm ||
+        readingData.DC_ref ||
+        null;
+    const reading2 = readingData.secondReading?.excerpt ||
+        readingData.reading2 ||
+        readingData.BD2_ref ||
+        null;
+    const gospel = readingData.gospel?.excerpt ||
+        readingData.gospel ||
+        readingData.TM_ref ||
+        null;
+
+    if (!reading1 && !psalm && !reading2 && !gospel) return null;
+    return { reading1, psalm, reading2, gospel };
+}
+
+// Bộ bài đọc chính: lễ nhiều bộ (options) → bộ primary (hoặc bộ đầu), còn lại giữ nguyên
+function primaryReadingSet(readingData) {
+    if (!readingData || !Array.isArray(readingData.options)) return readingData || null;
+    const primary = readingData.options.find(o => o.option === readingData.primary) || readingData.options[0];
+    return primary ? primary.data : null;
+}
+
+// Các bước dự phòng khi chọn bài đọc (selectDayReadings → fallbacks)
+const READINGS_FALLBACK_LABELS = Object.freeze({
+    'forced-sanctoral-missing': 'Lễ dùng bài đọc riêng nhưng chưa có bài đọc của thánh',
+    'sanctoral-no-text': 'Lễ trọng/kính thánh chưa có toàn văn riêng',
+    'seasonal-missing': 'Không có bài đọc theo mùa cho mã ngày',
+    alias: 'Dùng chung bài đọc của mã khác',
+    'citation-only': 'Chỉ có trích dẫn (READINGS_DATA), không có toàn văn'
+});
+
+// Chọn bộ bài đọc chính của một ngày (dùng chung cho export, CLI, API)
+// Trả về { data, source, code, note, lectionarySource, lectionaryCode, fullText, fallbacks } hoặc null
+// (lectionarySource/lectionaryCode: nguồn và mã thật trong chỉ mục bài đọc; fallbacks: khóa READINGS_FALLBACK_LABELS)
+function selectDayReadings(date, dayInfo) {
+    const info = dayInfo.info;
+    const cycle = dayInfo.cycle;
+    const weekdayCycle = dayInfo.weekdayCycle;
+    const dayOfWeek = date.getDay();
+    const ctx = { cycle, weekdayCycle, sunday: dayOfWeek === 0 };
+
+    let readingData = null;
+    let readingSource = 'temporal';
+    let usedCode = dayInfo.dayCode;
+    let readingNote = null;
+    let entry = null;
+    const fallbacks = [];
+
+    // === ƯU TIÊN 1: Kiểm tra bài đọc Tết (nếu đang cử hành Tết) ===
+    if (info.isTet && dayInfo.tetCode) {
+        const tetEntry = lookupLectionary(dayInfo.tetCode, ctx);
+        if (tetEntry) {
+            entry = tetEntry;
+            readingData = tetEntry.data;
+            readingSource = 'tet';
+            usedCode = dayInfo.tetCode;
+            readingNote = info.tetPolicy && info.tetPolicy.readings === 'optional'
+                ? 'Bài đọc Thánh Lễ Tết (có thể dùng bài đọc của ngày)'
+                : 'Bài đọc Thánh Lễ Tết';
+        }
+    }
+
+    // Dịp âm lịch được cử hành, có bài đọc riêng
+    const lunarEntry = !readingData && info.lunarObservance && info.lunarObservance.readingCode
+        ? lookupLectionary(info.lunarObservance.readingCode, ctx)
+        : null;
+    if (lunarEntry) {
+        entry = lunarEntry;
+        readingData = lunarEntry.data;
+        readingSource = 'lunar';
+        usedCode = info.lunarObservance.readingCode;
+        readingNote = `Bài đọc ${info.lunarObservance.name}`;
+    }
+
+    // === ƯU TIÊN 2: Ép bài đọc sanctoral cho các lễ trọng có bài đọc riêng (St Joseph, Truyền Tin, Vô Nhiễm) ===
+    if (!readingData && info._forceSanctoralReadings && dayInfo.sanctoralCode) {
+        const forcedEntry = lookupLectionary(dayInfo.sanctoralCode, ctx);
+        if (forcedEntry) {
+            entry = forcedEntry;
+            readingData = forcedEntry.data;
+            readingSource = 'sanctoral';
+            usedCode = dayInfo.sanctoralCode;
+            readingNote = 'Bài đọc lễ riêng (sanctoral)';
+        } else {
+            fallbacks.push('forced-sanctoral-missing');
+        }
+    }
+
+    // === ƯU TIÊN 3: Lễ Trọng/Kính các Thánh (sanctoral) ===
+    // Nếu là Lễ Trọng hoặc Lễ Kính và thánh là cử hành chính, dùng toàn văn bài đọc riêng của thánh (7DDMM)
+    if (!readingData && (info.rankCode === 'TRONG' || info.rankCode === 'KINH')) {
+        const isSanctoralPrimary = info._winnerKey === 'SANCTORAL' ||
+            (info.saints.length > 0 && info.special === info.saints[0].name) ||
+            (info.saints.length > 0 && ['S', 'F'].includes(info.saints[0].type) && !info.special);
+
+        const sanctoralEntry = isSanctoralPrimary && dayInfo.sanctoralCode
+            ? lookupLectionary(dayInfo.sanctoralCode, { ...ctx, fullText: true })
+            : null;
+        if (sanctoralEntry) {
+            entry = sanctoralEntry;
+            readingData = sanctoralEntry.data;
+            readingSource = 'sanctoral';
+            usedCode = dayInfo.sanctoralCode;
+        } else if (isSanctoralPrimary && dayInfo.sanctoralCode) {
+            fallbacks.push('sanctoral-no-text');
+        }
+    }
+
+    // === ƯU TIÊN 4: Sử dụng getReadingSets() để tìm bài đọc từ tất cả nguồn ===
+    // Các mã dùng chung bài đọc (2030, 5001-5004, 8441...) đã được chỉ mục bài đọc xử lý qua LECTIONARY_ALIASES
+    if (!readingData) {
+        try {
+            const fullReadings = getReadingSets(
+                dayInfo.dayCode,
+                dayInfo.sanctoralCode,
+                dayInfo.specialCode,
+                dayOfWeek,
+                cycle,
+                weekdayCycle,
+                dayInfo.tetCode,
+                null // vigilInfo
+            );
+
+            const seasonalReading = fullReadings && fullReadings.length > 0 ? fullReadings.find(r => r.type === 'seasonal') : null;
+            const sanctoralReading = fullReadings && fullReadings.length > 0 ? fullReadings.find(r => r.type === 'sanctoral') : null;
+            const specialReading = fullReadings && fullReadings.length > 0 ? fullReadings.find(r => r.type === 'special') : null;
+            if (seasonalReading && seasonalReading.data) {
+                entry = seasonalReading;
+                readingData = seasonalReading.data;
+                readingSource = 'temporal';
+                usedCode = dayInfo.dayCode;
+            }
+            // Fallback: tìm bài đọc sanctoral
+            else if (sanctoralReading && sanctoralReading.data) {
+                entry = sanctoralReading;
+                readingData = sanctoralReading.data;
+                readingSource = 'sanctoral';
+                usedCode = dayInfo.sanctoralCode || dayInfo.dayCode;
+            }
+            // Fallback: tìm bài đọc special (Optionsaint / lễ riêng)
+            else if (specialReading && specialReading.data) {
+                entry = specialReading;
+                readingData = specialReading.data;
+                readingSource = 'special';
+                usedCode = dayInfo.specialCode || dayInfo.sanctoralCode || dayInfo.dayCode;
+            }
+            if (!seasonalReading && dayInfo.dayCode !== dayInfo.sanctoralCode) fallbacks.push('seasonal-missing');
+        } catch (error) {
+            console.warn(`Lỗi khi lấy bài đọc cho ngày ${toISODateLocal(date)}:`, error);
+        }
+    }
+
+    // === ƯU TIÊN 5: Lễ Nhớ các Thánh (optional memorial) ===
+    if (!readingData && (info.rankCode === 'NHO' || info.rankCode === 'NHOKB') && dayInfo.sanctoralCode) {
+        const memorialEntry = lookupLectionary(dayInfo.sanctoralCode, ctx) ||
+            lookupLectionary(dayInfo.specialCode, { ...ctx, sources: ['OPTION_SAINT'] }) ||
+            lookupLectionary(dayInfo.sanctoralCode.replace(/^7/, '8'), { ...ctx, sources: ['OPTION_SAINT'] });
+        if (memorialEntry) {
+            entry = memorialEntry;
+            readingData = memorialEntry.data;
+            readingSource = memorialEntry.source === 'OPTION_SAINT' ? 'option' : 'sanctoral';
+            usedCode = dayInfo.sanctoralCode;
+        }
+    }
+
+    if (!readingData) return null;
+    const fullText = hasReadingFullText(primaryReadingSet(readingData));
+    if (entry.code && String(entry.code) !== String(usedCode)) fallbacks.push('alias');
+    if (!fullText) fallbacks.push('citation-only');
+    return {
+        data: readingData,
+        source: readingSource,
+        code: usedCode,
+        note: readingNote,
+        lectionarySource: entry.source,
+        lectionaryCode: entry.code,
+        fullText,
+        fallbacks
+    };
+}
+
+// Dữ liệu phẳng của một ngày (format dùng cho export JSON / API)
+// options: { includeReadings, includeLunar, includeTrace }; dayInfo truyền vào nếu đã tính sẵn
+function buildDayData(date, litData, options = {}, dayInfo = getDayLiturgicalInfo(date, litData)) {
+    const { includeReadings = false, includeLunar = true, includeTrace = false } = options;
+    const info = dayInfo.info;
+
+    const dayData = {
+        date: toISODateLocal(date),
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        dayOfWeek: DAYS_FULL_VI[date.getDay()],
+        celebration: dayInfo.dayLabelText,
+        rank: info.rankCode || 'NGAY_THUONG',
+        color: normalizeLiturgicalColor(info.color) || 'green',
+        ...(info.altColors && info.altColors.length > 0 ? { altColors: info.altColors.slice() } : {}),
+        ...(info.roseSunday ? { roseSunday: info.roseSunday } : {}),
+        season: info.season,
+        code: dayInfo.dayCode
+    };
+
+    // Cử hành riêng của giáo phận / giáo xứ
+    if (info.proper) {
+        dayData.proper = { ...info.proper };
+    }
+
+    if (includeLunar && dayInfo.lunar) {
+        dayData.lunar = {
+            day: dayInfo.lunar.day,
+            month: dayInfo.lunar.month,
+            year: dayInfo.lunar.year,
+            isLeapMonth: Boolean(dayInfo.lunar.leap)
+        };
+    }
+
+    // Saints - Luôn bao gồm tất cả saints (kể cả lễ nhớ)
+    if (info.saints && info.saints.length > 0) {
+        dayData.saints = info.saints.map(s => ({
+            name: s.name,
+            rank: s.rank,
+            color: normalizeLiturgicalColor(s.color) || s.color,
+            ...(s.altColors ? { altColors: s.altColors.slice() } : {}),
+            type: s.type || (s.rank === 'TRONG' ? 'S' : s.rank === 'KINH' ? 'F' : s.rank === 'NHO' ? 'M' : 'O'),
+            ...(s.celebrations ? {
+                celebrations: s.celebrations.map(c => ({
+                    name: c.name,
+                    title: c.title,
+                    titles: c.titles,
+                    categories: c.categories,
+                    rank: c.rank,
+                    color: c.color,
+                    ...(c.altColors ? { altColors: c.altColors.slice() } : {}),
+                    ...(c.note ? { note: c.note } : {})
+                }))
+            } : {}),
+            ...(s.proper ? { proper: s.proper.overlay } : {})
+        }));
+    }
+
+    // Dời lễ (từ bảng dời lễ của năm): lễ dời đến ngày này hoặc lễ của ngày này bị dời đi
+    const transferEntry = (info.transferred && getTransferredFeast(date, litData)) ||
+        (info.transferredTo && litData.transfersFrom && litData.transfersFrom[dayData.date]);
+    if (transferEntry) {
+        dayData.transfer = {
+            direction: info.transferred ? 'in' : 'out',
+            name: transferEntry.name,
+            from: toISODateLocal(transferEntry.originalDate),
+            to: toISODateLocal(transferEntry.date),
+            impediment: transferEntry.impediment,
+            rule: transferEntry.rule,
+            note: transferEntry.note
+        };
+    }
+
+    // Tết Nguyên Đán: chính sách khi trùng phụng vụ (Mass, bài đọc, luật chay)
+    if (info.tetPolicy) {
+        const tetEvent = getTetEvent(date);
+        dayData.tet = {
+            name: tetEvent ? tetEvent.name : null,
+            day: LUNAR_CALENDAR.isTetDay(date),
+            celebrated: Boolean(info.isTet),
+            policy: info.tetPolicy.policy,
+            mass: info.tetPolicy.mass,
+            readings: info.tetPolicy.readings,
+            fasting: info.tetPolicy.fasting,
+            note: info.tetPolicy.note
+        };
+        if (info.tetPolicy.fastingNote) dayData.tet.fastingNote = info.tetPolicy.fastingNote;
+    }
+
+    // Các dịp theo âm lịch (ngoài Tết)
+    if (info.lunarObservances && info.lunarObservances.length > 0) {
+        dayData.lunarObservances = info.lunarObservances.map(o => ({
+            id: o.id,
+            name: o.name,
+            policy: o.policy,
+            celebrated: o.celebrated,
+            optional: o.optional,
+            note: o.note
+        }));
+    }
+
+    // Ngày giỗ đã đăng ký (không nằm trong cache dayInfo vì danh sách do người dùng thay đổi)
+    const anniversaries = getAnniversariesOnDate(date);
+    if (anniversaries.length > 0) {
+        dayData.anniversaries = anniversaries.map(a => ({
+            id: a.id,
+            name: a.name,
+            lunarDate: `${a.lunarDay}/${a.lunarMonth}${a.leapMonth ? ' nhuận' : ''}`,
+            years: a.years,
+            reminderDays: a.reminderDays
+        }));
+    }
+
+    if (info.commemorations && info.commemorations.length > 0) {
+        dayData.commemorations = info.commemorations.map(c => {
+            if (typeof c === 'string') return c;
+            return c.name || c.special || '';
+        }).filter(c => c);
+    }
+
+    if (includeReadings) {
+        const selected = selectDayReadings(date, dayInfo);
+        const references = selected ? extractReadingReferences(selected.data) : null;
+        if (selected && selected.note) dayData.readingNote = selected.note;
+        if (references) {
+            dayData.readings = {
+                code: selected.code,
+                source: selected.source,
+                references: references,
+                citations: parseReadingReferences(selected.data)
+            };
+        }
+    }
+
+    const disciplineList = getLiturgicalDiscipline(date, litData);
+    if (Array.isArray(disciplineList) && disciplineList.length > 0) {
+        dayData.discipline = {
+            fast: disciplineList.some(d => d.type === 'fast'),
+            abstinence: disciplineList.some(d => d.type === 'abstinence'),
+            obligation: disciplineList.some(d => d.type === 'obligation'),
+            tags: disciplineList
+        };
+    }
+
+    // Trace thứ tự ưu tiên (bản sao, không chia sẻ object trong cache)
+    if (includeTrace && info.trace) {
+        dayData.trace = {
+            ...info.trace,
+            candidates: info.trace.candidates.map(c => ({ ...c }))
+        };
+    }
+
+    return dayData;
+}
+
+/**
+ * Thông tin phụng vụ đầy đủ của một ngày.
+ * @param {Date|string|number[]} date - Date, 'YYYY-MM-DD' hoặc [năm, tháng, ngày]
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReadings=true] - kèm trích dẫn bài đọc
+ * @param {boolean} [options.fullReadings=false] - kèm toàn văn (getReadingSets; khi nạp theo phần,
+ *   toàn văn chỉ có sau loadLectionaryTexts - Node nạp đủ các file bài đọc; textsLoaded=false
+ *   khi còn phần toàn văn chưa nạp)
+ * @param {boolean} [options.includeTrace=true] - kèm trace thứ tự ưu tiên (vì sao cử hành này)
+ * @returns {Object} dayData + rankName, cycle, codes, lunar.text
+ */
+function getDay(date, options = {}) {
+    const d = toEngineDate(date);
+    const litData = getLiturgicalData(d.getFullYear());
+    const { includeReadings = true, fullReadings = false, includeTrace = true } = options;
+    const dayInfo = getDayLiturgicalInfo(d, litData);
+    const dayData = buildDayData(d, litData, { includeReadings, includeLunar: true, includeTrace }, dayInfo);
+
+    dayData.rankName = getRankDisplayName(dayData.rank) || 'NGÀY THƯỜNG';
+    dayData.colorName = getColorDisplayName(dayData.color, dayData.altColors);
+    dayData.profile = getCalendarProfile().id;
+    dayData.cycle = { sunday: dayInfo.cycle, weekday: dayInfo.weekdayCycle };
+    dayData.codes = {
+        day: dayInfo.dayCode,
+        sanctoral: dayInfo.sanctoralCode,
+        special: dayInfo.specialCode,
+        tet: dayInfo.tetCode
+    };
+    if (dayData.lunar) {
+        dayData.lunar.text = LUNAR_CALENDAR.formatLunarFull(d);
+    }
+    if (fullReadings) {
+        dayData.fullReadings = getReadingSets(
+            dayInfo.dayCode, dayInfo.sanctoralCode, dayInfo.specialCode, d.getDay(),
+            dayInfo.cycle, dayInfo.weekdayCycle, dayInfo.tetCode, dayInfo.vigilInfo
+        );
+        dayData.textsLoaded = dayData.fullReadings.every(r => pendingReadingChunks(r.data).length === 0);
+    }
+    return dayData;
+}
+
+// Bài đọc của một ngày: trích dẫn + (tùy chọn) toàn văn
+// textsLoaded=false: engine nạp theo phần và toàn văn chưa nạp (chỉ có trích dẫn) - dùng getFullReadings
+function getDayReadings(date, options = {}) {
+    const { full = true } = options;
+    const day = getDay(date, { includeReadings: true, fullReadings: full });
+    return {
+        date: day.date,
+        celebration: day.celebration,
+        code: day.code,
+        cycle: day.cycle,
+        readings: day.readings || null,
+        readingNote: day.readingNote,
+        fullReadings: day.fullReadings,
+        textsLoaded: day.textsLoaded
+    };
+}
+
+// Trace thứ tự ưu tiên của một ngày ("vì sao hôm nay cử hành lễ này?")
+function getPrecedenceTrace(date) {
+    const day = getDay(date, { includeReadings: false, includeTrace: true });
+    return {
+        date: day.date,
+        celebration: day.celebration,
+        rank: day.rank,
+        ...day.trace
+    };
+}
+
+// Thông tin âm lịch của một ngày
+function getLunarInfo(date) {
+    const d = toEngineDate(date);
+    const lunar = LUNAR_CALENDAR.getLunarDate(d);
+    const solarTerm = LUNAR_CALENDAR.getSolarTerm(d);
+    return {
+        date: toISODateLocal(d),
+        day: lunar.day,
+        month: lunar.month,
+        year: lunar.year,
+        isLeapMonth: Boolean(lunar.leap),
+        monthName: LUNAR_CALENDAR.getLunarMonthName(lunar.month, lunar.leap),
+        text: LUNAR_CALENDAR.formatLunarFull(d),
+        tetDay: LUNAR_CALENDAR.isTetDay(d),
+        isNewYearEve: LUNAR_CALENDAR.isNewYearEve(d),
+        canChi: LUNAR_CALENDAR.getCanChi(d),
+        solarTerm: {
+            name: solarTerm.name,
+            longitude: solarTerm.longitude,
+            startDate: toISODateLocal(solarTerm.startDate),
+            isStart: solarTerm.isStart
+        },
+        moonPhase: LUNAR_CALENDAR.getMoonPhase(d)
+    };
+}
+
+// Dữ liệu một tháng (cùng format với phần tử months[] của export JSON)
+// month: 1-12; options giống buildDayData
+// options.range = { start, end } (Date): chỉ lấy các ngày trong khoảng (tháng đầu/cuối của một khoảng ngày)
+function getMonth(year, month, options = {}) {
+    const { includeReadings = true, includeLunar = true, includeTrace = false, range = null } = options;
+    const litData = getLiturgicalData(year);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const monthData = { month: month, year: year, name: MONTHS_VI[month - 1], days: [] };
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month - 1, day);
+        if (range && (date < range.start || date > range.end)) continue;
+        monthData.days.push(buildDayData(date, litData, { includeReadings, includeLunar, includeTrace }));
+    }
+    return monthData;
+}
+
+// Dữ liệu lịch cho một khoảng tháng trong năm (format export JSON: { metadata, months })
+function buildCalendarData(year, fromMonth = 1, toMonth = 12, options = {}) {
+    const litData = getLiturgicalData(year);
+    const exportData = {
+        metadata: {
+            title: `Lịch Phụng Vụ Công Giáo Năm ${year}`,
+            year: year,
+            exportedAt: new Date().toISOString(),
+            profile: getCalendarProfile().id,
+            overlays: getCalendarOverlays(),
+            range: {
+                from: `${year}-${String(fromMonth).padStart(2, '0')}-01`,
+                to: `${year}-${String(toMonth).padStart(2, '0')}-${new Date(year, toMonth, 0).getDate()}`
+            },
+            liturgicalCycle: {
+                sundayCycle: `Năm ${getLiturgicalCycle(new Date(year, 0, 1), litData)}`,
+                weekdayCycle: year % 2 === 0 ? "Năm Chẵn" : "Năm Lẻ"
+            }
+        },
+        months: []
+    };
+
+    for (let month = fromMonth; month <= toMonth; month++) {
+        exportData.months.push(getMonth(year, month, options));
+    }
+    return exportData;
+}
+
+// Dữ liệu lịch cho một khoảng ngày bất kỳ (có thể qua nhiều năm), cùng format { metadata, months }
+// options: { title, includeReadings, includeLunar, includeTrace }
+function buildCalendarRangeData(startDate, endDate, options = {}) {
+    const { title = null, ...dayOptions } = options;
+    const start = toEngineDate(startDate);
+    const end = toEngineDate(endDate);
+    if (end < start) {
+        throw new RangeError(`Khoảng ngày không hợp lệ: ${toISODateLocal(start)} > ${toISODateLocal(end)}`);
+    }
+    const startLitData = getLiturgicalData(start.getFullYear());
+    const exportData = {
+        metadata: {
+            title: title || `Lịch Phụng Vụ Công Giáo ${toISODateLocal(start)} → ${toISODateLocal(end)}`,
+            year: start.getFullYear(),
+            exportedAt: new Date().toISOString(),
+            profile: getCalendarProfile().id,
+            overlays: getCalendarOverlays(),
+            range: {
+                from: toISODateLocal(start),
+                to: toISODateLocal(end)
+            },
+            liturgicalCycle: {
+                sundayCycle: `Năm ${getLiturgicalCycle(start, startLitData)}`,
+                weekdayCycle: start.getFullYear() % 2 === 0 ? "Năm Chẵn" : "Năm Lẻ"
+            }
+        },
+        months: []
+    };
+
+    const range = { start, end };
+    let year = start.getFullYear();
+    let month = start.getMonth() + 1;
+    while (year < end.getFullYear() || (year === end.getFullYear() && month <= end.getMonth() + 1)) {
+        exportData.months.push(getMonth(year, month, { ...dayOptions, range }));
+        month++;
+        if (month > 12) { month = 1; year++; }
+    }
+    return exportData;
+}
+
+// Dữ liệu lịch của năm phụng vụ N (Mùa Vọng năm N-1 → tuần Chúa Kitô Vua năm N)
+function buildLiturgicalYearData(year, options = {}) {
+    const lity = getLiturgicalYearRange(year);
+    const data = buildCalendarRangeData(lity.start, lity.end, {
+        ...options,
+        title: `Lịch Phụng Vụ Công Giáo - Năm Phụng Vụ ${year} (Năm ${lity.sundayCycle})`
+    });
+    data.metadata.year = year;
+    data.metadata.liturgicalYear = year;
+    data.metadata.liturgicalCycle = {
+        sundayCycle: `Năm ${lity.sundayCycle}`,
+        weekdayCycle: lity.weekdayCycle === "2" ? "Năm Chẵn" : "Năm Lẻ"
+    };
+    return data;
+}
+
+// ============================================================================
+// ĐỘ PHỦ BÀI ĐỌC (READINGS COVERAGE)
+// Duyệt từng ngày của năm phụng vụ: bộ bài đọc được chọn (selectDayReadings), phần nào
+// còn thiếu toàn văn và các bước dự phòng đã dùng - để biết cần bổ sung dữ liệu ở đâu.
+// ============================================================================
+
+const READINGS_PART_LABELS = Object.freeze({
+    firstReading: 'Bài đọc I',
+    psalm: 'Đáp ca',
+    secondReading: 'Bài đọc II',
+    alleluia: 'Alleluia',
+    gospel: 'Tin Mừng'
+});
+
+const READINGS_COVERAGE_STATUS_LABELS = Object.freeze({
+    complete: 'Đủ toàn văn',
+    partial: 'Thiếu một phần',
+    'citation-only': 'Chỉ có trích dẫn',
+    none: 'Không có bài đọc'
+});
+
+// Phần trong báo cáo → trường của bộ bài đọc toàn văn
+const READINGS_PART_FIELDS = Object.freeze({
+    firstReading: 'firstReading',
+    psalm: 'psalms',
+    secondReading: 'secondReading',
+    alleluia: 'alleluia',
+    gospel: 'gospel'
+});
+
+// Độ phủ bài đọc của năm phụng vụ N
+// options.incompleteOnly: chỉ trả về các ngày chưa đủ toàn văn (summary vẫn tính cả năm)
+function getReadingsCoverage(year, options = {}) {
+    const { incompleteOnly = false } = options;
+    const lity = getLiturgicalYearRange(year);
+    const summary = {
+        days: 0,
+        complete: 0,
+        partial: 0,
+        citationOnly: 0,
+        none: 0,
+        missing: Object.fromEntries(Object.keys(READINGS_PART_LABELS).map(part => [part, 0])),
+        fallbacks: Object.fromEntries(Object.keys(READINGS_FALLBACK_LABELS).map(id => [id, 0])),
+        sources: {}
+    };
+    const days = [];
+
+    for (let date = new Date(lity.start); date <= lity.end; date = addDays(date, 1)) {
+        const dayInfo = getDayLiturgicalInfo(date, getLiturgicalData(date.getFullYear()));
+        const info = dayInfo.info;
+        const selected = selectDayReadings(date, dayInfo);
+        const set = selected ? primaryReadingSet(selected.data) : null;
+        const references = selected ? extractReadingReferences(selected.data) || {} : {};
+
+        // Bài đọc II: Chúa Nhật, lễ trọng, hoặc khi dữ liệu có trích dẫn bài đọc II
+        const expected = Object.keys(READINGS_PART_LABELS).filter(part => part !== 'secondReading' ||
+            date.getDay() === 0 || info.rankCode === 'TRONG' || references.reading2 || (set && set.secondReading));
+        const missing = expected.filter(part => !readingPartHasText(set && set[READINGS_PART_FIELDS[part]]));
+        const status = !selected ? 'none'
+            : !selected.fullText ? 'citation-only'
+                : missing.length > 0 ? 'partial' : 'complete';
+        const fallbacks = selected ? selected.fallbacks : [];
+
+        summary.days++;
+        summary[status === 'citation-only' ? 'citationOnly' : status]++;
+        missing.forEach(part => summary.missing[part]++);
+        fallbacks.forEach(id => summary.fallbacks[id]++);
+        const sourceKey = selected ? selected.lectionarySource : 'NONE';
+        summary.sources[sourceKey] = (summary.sources[sourceKey] || 0) + 1;
+
+        if (incompleteOnly && status === 'complete') continue;
+        days.push({
+            date: toISODateLocal(date),
+            celebration: dayInfo.dayLabelText,
+            rank: info.rankCode || 'NGAY_THUONG',
+            code: dayInfo.dayCode,
+            readingCode: selected ? selected.code : null,
+            lectionaryCode: selected ? selected.lectionaryCode : null,
+            source: selected ? selected.source : null,
+            lectionarySource: selected ? selected.lectionarySource : null,
+            status,
+            missing,
+            fallbacks,
+            references
+        });
+    }
+
+    return {
+        year,
+        range: { from: toISODateLocal(lity.start), to: toISODateLocal(lity.end) },
+        sundayCycle: lity.sundayCycle,
+        weekdayCycle: lity.weekdayCycle,
+        summary,
+        days
+    };
+}
+
+// ============================================================================
+// ICALENDAR (.ics) - Xuất lịch cho Google / Apple / Thunderbird
+// ============================================================================
+
+const ICS_PRODID = '-//Lich Phung Vu Cong Giao//VI';
+const ICS_UID_DOMAIN = 'lich-phung-vu';
+
+// Escape TEXT theo RFC 5545 (\\ ; , và xuống dòng)
+function icsEscape(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Gấp dòng dài quá 75 octet (UTF-8), không cắt giữa ký tự nhiều byte
+function icsFold(line) {
+    const encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+    const byteLength = ch => encoder ? encoder.encode(ch).length : unescape(encodeURIComponent(ch)).length;
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const ch of line) {
+        const len = byteLength(ch);
+        const limit = parts.length === 0 ? 75 : 74; // dòng tiếp theo có 1 khoảng trắng đầu dòng
+        if (currentBytes + len > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += ch;
+        currentBytes += len;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsDate(isoDate) {
+    return isoDate.replace(/-/g, '');
+}
+
+function icsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Nội dung DESCRIPTION cho một ngày (dayData từ buildDayData)
+function buildICSDescription(day) {
+    const lines = [];
+    const rankName = getRankDisplayName(day.rank);
+    lines.push(`Bậc lễ: ${rankName || 'Ngày thường'}`);
+    lines.push(`Màu phụng vụ: ${getColorDisplayName(day.color, day.altColors)}`);
+    if (day.season) lines.push(`Mùa: ${day.season}`);
+    if (day.saints && day.saints.length > 0) {
+        lines.push(`Lễ các thánh: ${day.saints.map(s => s.name).join('; ')}`);
+    }
+    if (day.commemorations && day.commemorations.length > 0) {
+        lines.push(`Kính nhớ: ${day.commemorations.join('; ')}`);
+    }
+    if (day.transfer && day.transfer.note) {
+        lines.push(`Dời lễ: ${day.transfer.note}`);
+    }
+    if (day.tet && day.tet.note) {
+        lines.push(`Tết: ${[day.tet.note, day.tet.fastingNote].filter(Boolean).join(' ')}`);
+    }
+    if (day.lunarObservances && day.lunarObservances.length > 0) {
+        lines.push(`Dịp âm lịch: ${day.lunarObservances.map(o => o.note || o.name).join(' ')}`);
+    }
+    if (day.anniversaries && day.anniversaries.length > 0) {
+        lines.push(`Giỗ: ${day.anniversaries.map(a => a.name).join('; ')}`);
+    }
+    if (day.readings && day.readings.references) {
+        const refs = day.readings.references;
+        const parts = [];
+        if (refs.reading1) parts.push(`Bài đọc 1: ${normalizeBibleReference(refs.reading1)}`);
+        if (refs.psalm) parts.push(`Đáp ca: ${normalizeBibleReference(refs.psalm)}`);
+        if (refs.reading2) parts.push(`Bài đọc 2: ${normalizeBibleReference(refs.reading2)}`);
+        if (refs.gospel) parts.push(`Tin Mừng: ${normalizeBibleReference(refs.gospel)}`);
+        if (parts.length > 0) lines.push('', ...parts);
+    }
+    if (day.lunar) {
+        lines.push('', `Âm lịch: ${day.lunar.day}/${day.lunar.month}${day.lunar.isLeapMonth ? ' (nhuận)' : ''}`);
+    }
+    if (day.discipline && day.discipline.tags.length > 0) {
+        lines.push(`Ghi chú: ${day.discipline.tags.map(t => t.label).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+// VEVENT cả ngày cho một dayData. UID ổn định theo ngày để lịch đăng ký cập nhật đúng sự kiện.
+function buildICSEvent(day, dtstamp) {
+    const start = new Date(day.year, day.month - 1, day.day);
+    const end = addDays(start, 1);
+    return [
+        'BEGIN:VEVENT',
+        `UID:${icsDate(day.date)}@${ICS_UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(day.date)}`,
+        `DTEND;VALUE=DATE:${icsDate(toISODateLocal(end))}`,
+        `SUMMARY:${icsEscape(day.celebration)}`,
+        `DESCRIPTION:${icsEscape(buildICSDescription(day))}`,
+        `CATEGORIES:${icsEscape(day.season || '')}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ].map(icsFold);
+}
+
+// VEVENT riêng cho mỗi ngày giỗ, kèm VALARM nhắc xin lễ trước reminderDays ngày
+function buildICSAnniversaryEvents(day, dtstamp) {
+    if (!day.anniversaries) return [];
+    const end = addDays(new Date(day.year, day.month - 1, day.day), 1);
+    const lines = [];
+    day.anniversaries.forEach(a => {
+        const title = `Giỗ ${a.name}${a.years ? ` (${a.years} năm)` : ''}`;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${icsEscape(a.id)}-${icsDate(day.date)}@${ICS_UID_DOMAIN}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(day.date)}`,
+            `DTEND;VALUE=DATE:${icsDate(toISODateLocal(end))}`,
+            `SUMMARY:${icsEscape(title)}`,
+            `DESCRIPTION:${icsEscape(`Ngày giỗ (âm lịch ${a.lunarDate}). Xin lễ cầu cho ${a.name}.`)}`,
+            'CATEGORIES:Giỗ',
+            'TRANSP:TRANSPARENT'
+        );
+        if (a.reminderDays > 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${icsEscape(`Xin lễ giỗ ${a.name} (${day.date})`)}`,
+                `TRIGGER:-P${a.reminderDays}D`,
+                'END:VALARM'
+            );
+        }
+        lines.push('END:VEVENT');
+    });
+    return lines.map(icsFold);
+}
+
+/**
+ * Chuyển dữ liệu lịch (một hoặc nhiều kết quả buildCalendarData) thành file .ics
+ * @param {Object|Object[]} calendars - { metadata, months }
+ * @param {Object} [options] - { name, refreshInterval (vd. 'P1D' cho lịch đăng ký) }
+ */
+function buildICS(calendars, options = {}) {
+    const list = Array.isArray(calendars) ? calendars : [calendars];
+    const { name = 'Lịch Phụng Vụ Công Giáo', refreshInterval = null } = options;
+    const dtstamp = icsTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        icsFold(`X-WR-CALNAME:${icsEscape(name)}`)
+    ];
+    if (refreshInterval) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`);
+    }
+    list.forEach(data => {
+        data.months.forEach(month => {
+            month.days.forEach(day => {
+                buildICSEvent(day, dtstamp).forEach(l => lines.push(l));
+                buildICSAnniversaryEvents(day, dtstamp).forEach(l => lines.push(l));
+            });
+        });
+    });
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Lịch đăng ký nhiều năm (cửa sổ trượt quanh năm hiện tại)
+// options: { yearsBefore = 1, yearsAfter = 2, today, includeReadings = true }
+function buildICSFeed(options = {}) {
+    const { yearsBefore = 1, yearsAfter = 2, today = getCalendarToday(), includeReadings = true } = options;
+    const baseYear = toEngineDate(today).getFullYear();
+    const calendars = [];
+    for (let year = baseYear - yearsBefore; year <= baseYear + yearsAfter; year++) {
+        calendars.push(buildCalendarData(year, 1, 12, { includeReadings, includeLunar: true }));
+    }
+    return buildICS(calendars, {
+        name: `Lịch Phụng Vụ Công Giáo ${baseYear - yearsBefore}-${baseYear + yearsAfter}`,
+        refreshInterval: 'P1D'
+    });
+}
+
+const LiturgicalEngine = {
+    getDay,
+    getMonth,
+    buildCalendarData,
+    buildCalendarRangeData,
+    buildLiturgicalYearData,
+    getLiturgicalYearOf,
+    getLiturgicalYearRange,
+    getDayReadings,
+    getPrecedenceTrace,
+    buildICS,
+    buildICSFeed,
+    getLunarInfo,
+    toDate: toEngineDate,
+    buildDayData,
+    selectDayReadings,
+    extractReadingReferences,
+    getLiturgicalData,
+    getLiturgicalDayCode,
+    getLiturgicalCycle,
+    getDayInfo,
+    getDayLiturgicalInfo,
+    getFullReadings,
+    getReadingSets,
+    loadLectionaryTexts,
+    isLectionaryTextLoaded,
+    setLectionaryChunkLoader,
+    registerLectionaryChunk,
+    findReadingFromAllSources,
+    lookupLectionary,
+    resolveLectionary,
+    getLectionaryOptions,
+    getLectionaryReferences,
+    lectionaryIndex: LECTIONARY_INDEX,
+    parseBibleReference,
+    formatBibleReference,
+    normalizeBibleReference,
+    parseReadingReferences,
+    findUnparseableReferences,
+    checkLectionaryConsistency,
+    compareBibleReferences,
+    lectionaryIssueLabels: LECTIONARY_ISSUE_LABELS,
+    getReadingsCoverage,
+    readingsCoverageLabels: {
+        parts: READINGS_PART_LABELS,
+        statuses: READINGS_COVERAGE_STATUS_LABELS,
+        fallbacks: READINGS_FALLBACK_LABELS
+    },
+    getBibleBook,
+    bibleBooks: BIBLE_BOOKS,
+    getLiturgicalDiscipline,
+    getCalendarProfile,
+    setCalendarProfile,
+    listCalendarProfiles,
+    withCalendarProfile,
+    registerCalendarOverlay,
+    listCalendarOverlays,
+    getCalendarOverlays,
+    setCalendarOverlays,
+    withCalendarOverlays,
+    getFixedCelebration,
+    getOptionalMemorialChoices,
+    registerLunarObservance,
+    removeLunarObservance,
+    listLunarObservances,
+    getLunarObservances,
+    getTetResolution,
+    getCalendarTimeZone,
+    setCalendarTimeZone,
+    withCalendarTimeZone,
+    getCalendarToday,
+    getDeathAnniversaries,
+    setDeathAnniversaries,
+    addDeathAnniversary,
+    removeDeathAnniversary,
+    getAnniversaryDate,
+    getAnniversariesInYear,
+    getAnniversariesOnDate,
+    getUpcomingAnniversaries,
+    getRankDisplayName,
+    getColorDisplayName,
+    normalizeLiturgicalColor,
+    getRoseSunday,
+    liturgicalColors: LITURGICAL_COLORS,
+    traceLabels: { sources: TRACE_SOURCE_LABELS, outcomes: TRACE_OUTCOME_LABELS },
+    toISODate: toISODateLocal,
+    lunar: LUNAR_CALENDAR,
+    cache: CACHE
+};
+
+ENGINE_ROOT.LiturgicalEngine = LiturgicalEngine;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiturgicalEngine;
+}
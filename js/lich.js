@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+/**
+ * lich - Tra cứu Lịch Phụng Vụ từ dòng lệnh (dùng js/engine.js qua js/engine-node.js)
+ *
+ *   node js/lich.js day 2027-03-19
+ *   node js/lich.js month 2027-04 --table
+ *   node js/lich.js readings 2027-03-19 --full
+ *   node js/lich.js why 2027-03-19
+ *   node js/lich.js find "Thánh Giuse" --year 2027
+ *   node js/lich.js refs "Is 63,16-17.19; 64,2-7"
+ *   node js/lich.js check-readings 1010 2010
+ *   node js/lich.js coverage --year 2027
+ *   node js/lich.js ics --from 2026 --to 2028 --out lich-phung-vu.ics
+ *
+ * Định dạng: --format text|json|table (hoặc --json, --table). Mặc định: text.
+ */
+
+const fs = require('fs');
+const { loadEngine } = require('./engine-node');
+
+const USAGE = `Cách dùng: lich <lệnh> [tham số] [tùy chọn]
+
+Lệnh:
+  day <YYYY-MM-DD|today>         Cử hành, bậc lễ, màu, mùa, mã, chu kỳ, âm lịch, bài đọc
+  month <YYYY-MM>                Toàn bộ các ngày trong tháng
+  readings <YYYY-MM-DD|today>    Trích dẫn bài đọc (--full: toàn văn)
+  why <YYYY-MM-DD|today>         Vì sao cử hành này: các ứng viên, bậc ưu tiên, quy tắc quyết định
+  find "<từ khóa>" [--year N]    Tìm lễ / thánh trong năm (không phân biệt dấu)
+  refs ["<trích dẫn>"]           Phân tích trích dẫn Kinh Thánh; không tham số: liệt kê trích dẫn lỗi trong dữ liệu
+  check-readings [mã ...]        Đối chiếu trích dẫn READINGS_DATA với toàn văn (mặc định: mọi mã)
+  coverage [--year N]            Độ phủ bài đọc năm phụng vụ N: ngày thiếu toàn văn, nguồn, dự phòng
+  ics [--from N] [--to N]        Xuất lịch .ics (mặc định: năm trước → 2 năm sau, dạng lịch đăng ký)
+
+Tùy chọn:
+  --format text|json|table       Định dạng xuất (mặc định: text)
+  --json, --table                Viết tắt của --format json / --format table
+  --full                         Kèm toàn văn bài đọc (day, readings)
+  --year N                       Năm tìm kiếm cho lệnh find, năm phụng vụ cho coverage (mặc định: năm nay)
+  --from N, --to N               Khoảng năm cho lệnh ics
+  --profile vn|us|au|fr|roman    Hồ sơ lịch quốc gia (mặc định: vn)
+  --overlay <id>[,<id>]          Lịch riêng giáo phận / giáo xứ (vd. dalat)
+  --tz <múi giờ IANA>            Múi giờ xác định "today" (vd. Asia/Ho_Chi_Minh; mặc định: giờ máy)
+  --lunar-tz <giờ>               Độ lệch UTC cho âm lịch, tiết khí, tuần trăng (mặc định: 7)
+  --out <file>                   Ghi kết quả ra file thay vì stdout
+  -h, --help                     Hiển thị hướng dẫn`;
+
+const READING_TYPE_LABELS = {
+    seasonal: 'Bài Đọc Theo Mùa Phụng Vụ',
+    vigil: 'Bài Đọc Lễ Vọng',
+    sanctoral: 'Bài Đọc Lễ Kính Thánh',
+    special: 'Bài Đọc Lễ Riêng',
+    tet: 'Bài Đọc Thánh Lễ Tết'
+};
+
+// ============================================================================
+// THAM SỐ DÒNG LỆNH
+// ============================================================================
+
+function parseArgs(argv) {
+    const args = { _: [], format: 'text', full: false, year: null, from: null, to: null, out: null, profile: null, overlay: null, tz: null, lunarTz: null, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (a === '--json') args.format = 'json';
+        else if (a === '--table') args.format = 'table';
+        else if (a === '--full') args.full = true;
+        else if (a === '-h' || a === '--help') args.help = true;
+        else if (a === '--format') args.format = argv[++i];
+        else if (a.startsWith('--format=')) args.format = a.slice(9);
+        else if (a === '--year') args.year = argv[++i];
+        else if (a.startsWith('--year=')) args.year = a.slice(7);
+        else if (a === '--from') args.from = argv[++i];
+        else if (a === '--to') args.to = argv[++i];
+        else if (a === '--out') args.out = argv[++i];
+        else if (a === '--profile') args.profile = argv[++i];
+        else if (a.startsWith('--profile=')) args.profile = a.slice(10);
+        else if (a === '--overlay') args.overlay = argv[++i];
+        else if (a.startsWith('--overlay=')) args.overlay = a.slice(10);
+        else if (a === '--tz') args.tz = argv[++i];
+        else if (a.startsWith('--tz=')) args.tz = a.slice(5);
+        else if (a === '--lunar-tz') args.lunarTz = argv[++i];
+        else if (a.startsWith('--lunar-tz=')) args.lunarTz = a.slice(11);
+        else if (a.startsWith('--')) throw new Error(`Tùy chọn không hợp lệ: ${a}`);
+        else args._.push(a);
+    }
+    if (!['text', 'json', 'table'].includes(args.format)) {
+        throw new Error(`Định dạng không hợp lệ: ${args.format} (text | json | table)`);
+    }
+    return args;
+}
+
+function parseDateArg(engine, value) {
+    if (!value) throw new Error('Thiếu tham số ngày (YYYY-MM-DD)');
+    return engine.toDate(value === 'today' ? null : value);
+}
+
+function parseMonthArg(value) {
+    const m = String(value || '').match(/^(\d{4})-(\d{1,2})$/);
+    if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) {
+        throw new Error(`Tháng không hợp lệ: ${value} (dùng YYYY-MM)`);
+    }
+    return { year: Number(m[1]), month: Number(m[2]) };
+}
+
+// Bỏ dấu tiếng Việt để tìm kiếm
+function normalizeSearch(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[đĐ]/g, 'd')
+        .toLowerCase()
+        .trim();
+}
+
+// ============================================================================
+// ĐỊNH DẠNG XUẤT
+// ============================================================================
+
+function formatLunar(day) {
+    if (!day.lunar) return '';
+    return `${day.lunar.day}/${day.lunar.month}${day.lunar.isLeapMonth ? ' (nhuận)' : ''}`;
+}
+
+// Trích dẫn dạng chuẩn (citations) nếu phân tích được, ngược lại chuỗi gốc
+function formatReferences(readings) {
+    if (!readings || !readings.references) return [];
+    const refs = readings.references;
+    const citations = readings.citations || {};
+    const text = key => (citations[key] && citations[key].valid ? citations[key].canonical : refs[key]);
+    const lines = [];
+    if (refs.reading1) lines.push(`  Bài đọc 1 : ${text('reading1')}`);
+    if (refs.psalm) lines.push(`  Đáp ca    : ${text('psalm')}`);
+    if (refs.reading2) lines.push(`  Bài đọc 2 : ${text('reading2')}`);
+    if (refs.gospel) lines.push(`  Tin Mừng  : ${text('gospel')}`);
+    return lines;
+}
+
+// "63,16-17.19" của từng đoạn (dùng cho bảng refs)
+function formatSpans(engine, passage) {
+    return engine.formatBibleReference({ passages: [passage] }).slice(passage.abbr.length + 1);
+}
+
+function cleanText(text) {
+    return String(text || '').replace(/\r\n?/g, '\n').trim();
+}
+
+function formatReadingPart(label, part) {
+    if (!part) return [];
+    const lines = [`${label}${part.excerpt ? `: ${part.excerpt}` : ''}`];
+    if (part.info) lines.push(part.info);
+    if (part.title) lines.push(part.title);
+    if (part.content) lines.push(cleanText(part.content));
+    if (part.end) lines.push(part.end);
+    return lines.concat('');
+}
+
+function formatPsalm(part) {
+    if (!part) return [];
+    const lines = [`Đáp ca${part.excerpt ? `: ${part.excerpt}` : ''}`];
+    if (part.response) lines.push(part.response);
+    (part.verses || []).forEach(v => lines.push(cleanText(v)));
+    return lines.concat('');
+}
+
+function formatReadingSet(set) {
+    if (!set) return [];
+    // Format tóm tắt (READINGS_DATA)
+    if (!set.firstReading && !set.psalms && !set.gospel?.excerpt && (set.reading1 || set.psalm)) {
+        return formatReferences(set).concat('');
+    }
+    let lines = [];
+    lines = lines.concat(formatReadingPart('Bài đọc 1', set.firstReading));
+    lines = lines.concat(formatPsalm(set.psalms));
+    lines = lines.concat(formatReadingPart('Bài đọc 2', set.secondReading));
+    if (set.alleluia) {
+        const verse = /[\p{L}\d]/u.test(set.alleluia.verse || '') ? `: ${set.alleluia.verse}` : '';
+        lines.push(`Tung hô Tin Mừng${verse}`);
+        if (set.alleluia.content) lines.push(cleanText(set.alleluia.content));
+        lines.push('');
+    }
+    lines = lines.concat(formatReadingPart('Tin Mừng', set.gospel));
+    return lines;
+}
+
+function formatFullReadings(fullReadings) {
+    let lines = [];
+    (fullReadings || []).forEach(r => {
+        const label = READING_TYPE_LABELS[r.type] || r.type;
+        lines.push(`=== ${label} ===`, '');
+        if (r.data && Array.isArray(r.data.options)) {
+            r.data.options.forEach((opt, idx) => {
+                lines.push(`--- ${opt.label || `Lựa chọn ${idx + 1}`} ---`);
+                lines = lines.concat(formatReadingSet(opt.data));
+            });
+        } else {
+            lines = lines.concat(formatReadingSet(r.data));
+        }
+    });
+    return lines;
+}
+
+function formatDayText(day) {
+    const lines = [
+        `${day.date} (${day.dayOfWeek})`,
+        day.celebration,
+        `Bậc lễ: ${day.rankName} · Màu: ${day.colorName} · ${day.season}`,
+        `Mã: ${day.code} · Chu kỳ: Năm ${day.cycle.sunday} / Năm ${day.cycle.weekday === '1' ? 'lẻ' : 'chẵn'}`,
+        `Âm lịch: ${formatLunar(day)}`
+    ];
+    if (day.saints && day.saints.length > 0) {
+        lines.push(`Lễ các thánh: ${day.saints.map(s => s.name).join('; ')}`);
+    }
+    if (day.commemorations && day.commemorations.length > 0) {
+        lines.push(`Kính nhớ: ${day.commemorations.join('; ')}`);
+    }
+    if (day.discipline) {
+        lines.push(`Kỷ luật: ${day.discipline.tags.map(t => t.label).join(', ')}`);
+    }
+    if (day.readings) {
+        lines.push(`Bài đọc (${day.readings.code}, ${day.readings.source}):`);
+        formatReferences(day.readings).forEach(l => lines.push(l));
+    }
+    if (day.fullReadings) {
+        lines.push('');
+        formatFullReadings(day.fullReadings).forEach(l => lines.push(l));
+    }
+    return lines.join('\n');
+}
+
+// Bảng căn cột (độ rộng theo ký tự NFC)
+function formatTable(headers, rows) {
+    const str = v => String(v === undefined || v === null ? '' : v).normalize('NFC');
+    const widths = headers.map((h, i) => Math.max(str(h).length, ...rows.map(r => str(r[i]).length)));
+    const line = cells => cells.map((c, i) => str(c).padEnd(widths[i])).join(' | ').trimEnd();
+    return [line(headers), widths.map(w => '-'.repeat(w)).join('-+-'), ...rows.map(line)].join('\n');
+}
+
+const DAY_TABLE_HEADERS = ['Ngày', 'Thứ', 'Cử hành', 'Bậc', 'Màu', 'Mã', 'Âm lịch'];
+
+function dayTableRow(day) {
+    return [day.date, day.dayOfWeek, day.celebration, day.rank, day.color, day.code, formatLunar(day)];
+}
+
+// ============================================================================
+// LỆNH
+// ============================================================================
+
+function cmdDay(engine, args) {
+    const date = parseDateArg(engine, args._[1]);
+    const day = engine.getDay(date, { fullReadings: args.full });
+    if (args.format === 'json') return JSON.stringify(day, null, 2);
+    if (args.format === 'table') return formatTable(DAY_TABLE_HEADERS, [dayTableRow(day)]);
+    return formatDayText(day);
+}
+
+function cmdMonth(engine, args) {
+    const { year, month } = parseMonthArg(args._[1]);
+    const monthData = engine.getMonth(year, month, { includeReadings: args.format === 'json' });
+    if (args.format === 'json') return JSON.stringify(monthData, null, 2);
+    if (args.format === 'table') {
+        return `${monthData.name} năm ${year}\n` + formatTable(DAY_TABLE_HEADERS, monthData.days.map(dayTableRow));
+    }
+    return [`${monthData.name} năm ${year}`, ''].concat(monthData.days.map(day =>
+        `${day.date} ${day.dayOfWeek.padEnd(9)} ${day.celebration} [${day.rank}, ${day.color}]`
+    )).join('\n');
+}
+
+function cmdReadings(engine, args) {
+    const date = parseDateArg(engine, args._[1]);
+    const day = engine.getDayReadings(date, { full: args.full });
+    if (args.format === 'json') return JSON.stringify(day, null, 2);
+    if (args.format === 'table') {
+        const refs = day.readings ? day.readings.references : {};
+        return formatTable(['Ngày', 'Mã', 'Bài đọc 1', 'Đáp ca', 'Bài đọc 2', 'Tin Mừng'],
+            [[day.date, day.readings ? day.readings.code : '', refs.reading1, refs.psalm, refs.reading2, refs.gospel]]);
+    }
+    const lines = [`${day.date} - ${day.celebration}`];
+    if (day.readings) {
+        lines.push(`Bài đọc (${day.readings.code}, ${day.readings.source}):`);
+        formatReferences(day.readings).forEach(l => lines.push(l));
+    } else {
+        lines.push('Chưa có dữ liệu bài đọc.');
+    }
+    if (day.fullReadings) {
+        lines.push('');
+        formatFullReadings(day.fullReadings).forEach(l => lines.push(l));
+    }
+    return lines.join('\n');
+}
+
+function cmdWhy(engine, args) {
+    const date = parseDateArg(engine, args._[1]);
+    const trace = engine.getPrecedenceTrace(date);
+    if (args.format === 'json') return JSON.stringify(trace, null, 2);
+    const { sources, outcomes } = engine.traceLabels;
+    if (args.format === 'table') {
+        return formatTable(['Nguồn', 'Cử hành', 'Bậc', 'Kết quả', 'Quy tắc'], trace.candidates.map(c => [
+            sources[c.source] || c.source, c.name, c.precedenceRank ?? '', outcomes[c.outcome] || c.outcome, c.rule
+        ]));
+    }
+    const lines = [
+        `${trace.date} - ${trace.celebration}`,
+        `Quyết định bởi: ${trace.reason} (${trace.decidedBy})`,
+        ''
+    ];
+    trace.candidates.forEach(c => {
+        const rank = c.precedenceRank ? ` · bậc ${c.precedenceRank}${c.rankLabel ? ` (${c.rankLabel})` : ''}` : '';
+        lines.push(`[${outcomes[c.outcome] || c.outcome}] ${sources[c.source] || c.source}: ${c.name}${rank}`);
+        lines.push(`    ${c.reason}`);
+        if (c.note) lines.push(`    ${c.note}`);
+    });
+    return lines.join('\n');
+}
+
+function cmdFind(engine, args) {
+    const query = normalizeSearch(args._[1]);
+    if (!query) throw new Error('Thiếu từ khóa tìm kiếm');
+    const year = args.year ? Number(args.year) : engine.toDate(null).getFullYear();
+    if (!Number.isInteger(year)) throw new Error(`Năm không hợp lệ: ${args.year}`);
+
+    const matches = [];
+    for (let month = 1; month <= 12; month++) {
+        engine.getMonth(year, month, { includeReadings: false }).days.forEach(day => {
+            const names = [day.celebration]
+                .concat((day.saints || []).map(s => s.name))
+                .concat(day.commemorations || []);
+            const matched = [...new Set(names.filter(n => normalizeSearch(n).includes(query)))];
+            if (matched.length > 0) matches.push({ day, matched });
+        });
+    }
+
+    if (args.format === 'json') {
+        return JSON.stringify(matches.map(m => ({ ...m.day, matched: m.matched })), null, 2);
+    }
+    if (matches.length === 0) return `Không tìm thấy "${args._[1]}" trong năm ${year}.`;
+    if (args.format === 'table') {
+        return formatTable(DAY_TABLE_HEADERS.concat('Khớp'), matches.map(m => dayTableRow(m.day).concat(m.matched.join('; '))));
+    }
+    return matches.map(m => `${m.day.date} (${m.day.dayOfWeek}) ${m.matched.join('; ')} [${m.day.rank}]`).join('\n');
+}
+
+// Phân tích một trích dẫn, hoặc (không tham số) báo cáo trích dẫn không phân tích được trong dữ liệu bài đọc
+function cmdRefs(engine, args) {
+    const input = args._.slice(1).join(' ');
+    if (!input) {
+        const report = engine.findUnparseableReferences();
+        if (args.format === 'json') return JSON.stringify(report, null, 2);
+        if (report.length === 0) return 'Mọi trích dẫn đều phân tích được.';
+        if (args.format === 'table') {
+            return formatTable(['Mã', 'Nguồn', 'Năm', 'Phần', 'Trích dẫn', 'Lỗi'], report.map(r => [
+                r.code, r.source, r.cycle || r.weekdayCycle || r.option || '', r.field, r.input, r.errors.join('; ')
+            ]));
+        }
+        return [`${report.length} trích dẫn không phân tích được:`].concat(report.map(r =>
+            `${r.code} ${r.source} ${r.field}: "${r.input}" - ${r.errors.join('; ')}`
+        )).join('\n');
+    }
+
+    const ref = engine.parseBibleReference(input);
+    if (args.format === 'json') return JSON.stringify(ref, null, 2);
+    const passages = [ref].concat(ref.alternatives).flatMap(r => r.passages);
+    if (args.format === 'table') {
+        return formatTable(['Sách', 'Mã', 'Tên sách', 'Chương, câu'], passages.map(p => [
+            p.abbr, p.book, p.name, formatSpans(engine, p)
+        ]));
+    }
+    const lines = [`Chuẩn hóa: ${ref.canonical || '(không có)'}`];
+    passages.forEach(p => lines.push(`  ${p.book.padEnd(4)} ${p.name}: ${formatSpans(engine, p)}`));
+    if (ref.notes.length > 0) lines.push(`Ghi chú: ${ref.notes.join('; ')}`);
+    if (!ref.valid) lines.push(`Lỗi: ${ref.errors.join('; ')}`);
+    return lines.join('\n');
+}
+
+// Báo cáo lệch giữa trích dẫn và toàn văn, nhóm theo loại lỗi
+function cmdCheckReadings(engine, args) {
+    const codes = args._.slice(1);
+    const report = engine.checkLectionaryConsistency(codes.length > 0 ? { codes } : {});
+    if (args.format === 'json') return JSON.stringify(report, null, 2);
+    const labels = engine.lectionaryIssueLabels;
+    const year = i => i.year + (i.textYear ? `→${i.textYear}` : '');
+    if (args.format === 'table') {
+        return formatTable(['Loại', 'Mã', 'Năm', 'Nguồn', 'Phần', 'READINGS_DATA', 'Toàn văn', 'Chi tiết'], report.issues.map(i => [
+            labels[i.type] || i.type, i.code + (i.textCode ? `→${i.textCode}` : ''), year(i), i.source,
+            i.field || '', i.reference || '', i.excerpt || '', i.detail || ''
+        ]));
+    }
+    const { summary } = report;
+    const lines = [
+        `Trích dẫn: ${summary.references} · Toàn văn: ${summary.texts} · So sánh: ${summary.compared} · ` +
+        `Khớp: ${summary.matched} (${summary.psalmNumbering} Thánh Vịnh khác cách đánh số Híp-ri/Hy Lạp)`
+    ];
+    Object.keys(labels).forEach(type => {
+        const issues = report.issues.filter(i => i.type === type);
+        if (issues.length === 0) return;
+        lines.push('', `${labels[type]} (${issues.length}):`);
+        issues.forEach(i => {
+            const where = `${i.code}${i.textCode ? `→${i.textCode}` : ''} [${year(i)}] ${i.source}${i.field ? ` ${i.field}` : ''}`;
+            lines.push(`  ${where}${i.detail ? `: ${i.detail}` : ''}`);
+        });
+    });
+    return lines.join('\n');
+}
+
+// Độ phủ bài đọc của năm phụng vụ: tóm tắt cả năm, rồi các ngày chưa đủ toàn văn
+function cmdCoverage(engine, args) {
+    const year = args.year ? Number(args.year) : engine.getLiturgicalYearOf(engine.toDate(null));
+    if (!Number.isInteger(year)) throw new Error(`Năm không hợp lệ: ${args.year}`);
+    const report = engine.getReadingsCoverage(year, { incompleteOnly: true });
+    if (args.format === 'json') return JSON.stringify(report, null, 2);
+    const { parts, statuses, fallbacks } = engine.readingsCoverageLabels;
+    const partNames = day => day.missing.map(p => parts[p] || p).join(', ');
+    if (args.format === 'table') {
+        return formatTable(['Ngày', 'Cử hành', 'Mã', 'Nguồn', 'Tình trạng', 'Thiếu', 'Dự phòng'], report.days.map(d => [
+            d.date, d.celebration, d.readingCode || d.code, d.lectionarySource || '', statuses[d.status] || d.status,
+            partNames(d), d.fallbacks.join(', ')
+        ]));
+    }
+    const { summary } = report;
+    const count = (map, labels) => Object.keys(map).filter(k => map[k] > 0).map(k => `${labels ? labels[k] || k : k} ${map[k]}`).join(' · ');
+    const lines = [
+        `Năm phụng vụ ${year} (Năm ${report.sundayCycle}, năm ${report.weekdayCycle === '2' ? 'chẵn' : 'lẻ'}): ${report.range.from} → ${report.range.to}`,
+        `${summary.days} ngày · ${statuses.complete}: ${summary.complete} · ${statuses.partial}: ${summary.partial} · ` +
+        `${statuses['citation-only']}: ${summary.citationOnly} · ${statuses.none}: ${summary.none}`,
+        `Nguồn: ${count(summary.sources)}`
+    ];
+    if (Object.values(summary.missing).some(n => n > 0)) lines.push(`Thiếu: ${count(summary.missing, parts)}`);
+    if (Object.values(summary.fallbacks).some(n => n > 0)) lines.push(`Dự phòng: ${count(summary.fallbacks, fallbacks)}`);
+    if (report.days.length > 0) lines.push('');
+    report.days.forEach(d => {
+        lines.push(`${d.date}  ${d.celebration} [${d.readingCode || d.code}${d.lectionarySource ? ` ${d.lectionarySource}` : ''}] ${statuses[d.status] || d.status}` +
+            (d.missing.length > 0 ? `: ${partNames(d)}` : ''));
+        d.fallbacks.forEach(id => lines.push(`    ↳ ${fallbacks[id] || id}`));
+    });
+    return lines.join('\n');
+}
+
+// Lịch .ics: khoảng năm cố định (--from/--to) hoặc lịch đăng ký trượt quanh năm hiện tại
+function cmdICS(engine, args) {
+    if (!args.from && !args.to) return engine.buildICSFeed().trimEnd();
+    const from = Number(args.from || args.to);
+    const to = Number(args.to || args.from);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+        throw new Error(`Khoảng năm không hợp lệ: ${args.from} - ${args.to}`);
+    }
+    const calendars = [];
+    for (let year = from; year <= to; year++) {
+        calendars.push(engine.buildCalendarData(year, 1, 12, { includeReadings: true }));
+    }
+    const name = from === to ? `Lịch Phụng Vụ Công Giáo Năm ${from}` : `Lịch Phụng Vụ Công Giáo ${from}-${to}`;
+    return engine.buildICS(calendars, { name }).trimEnd();
+}
+
+const COMMANDS = {
+    day: cmdDay,
+    month: cmdMonth,
+    readings: cmdReadings,
+    why: cmdWhy,
+    find: cmdFind,
+    refs: cmdRefs,
+    'check-readings': cmdCheckReadings,
+    coverage: cmdCoverage,
+    ics: cmdICS
+};
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (e) {
+        console.error(e.message);
+        return 2;
+    }
+    const command = COMMANDS[args._[0]];
+    if (args.help || !command) {
+        (args.help ? console.log : console.error)(USAGE);
+        return args.help ? 0 : 2;
+    }
+    try {
+        const engine = loadEngine();
+        if (args.profile) engine.setCalendarProfile(args.profile);
+        if (args.overlay) engine.setCalendarOverlays(args.overlay.split(','));
+        if (args.tz) engine.setCalendarTimeZone({ timeZone: args.tz });
+        if (args.lunarTz !== null) engine.setCalendarTimeZone({ lunarTimeZone: args.lunarTz });
+        const output = command(engine, args);
+        // .ics cần CRLF cuối dòng; các định dạng khác dùng \n
+        const eol = args._[0] === 'ics' ? '\r\n' : '\n';
+        if (args.out) {
+            fs.writeFileSync(args.out, output + eol, 'utf8');
+            console.error(`Đã ghi: ${args.out}`);
+        } else {
+            process.stdout.write(output + eol);
+        }
+        return 0;
+    } catch (e) {
+        console.error(`Lỗi: ${e.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs };
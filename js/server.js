@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+/**
+ * HTTP JSON API - Lịch Phụng Vụ Công Giáo (chỉ dùng module có sẵn của Node)
+ *
+ *   node js/server.js [--port 8080] [--host 127.0.0.1] [--tz Asia/Ho_Chi_Minh]
+ *
+ * Routes (mô tả đầy đủ: /api/openapi.json):
+ *   GET /api/day/:date              Một ngày (format phần tử days[] của export JSON)
+ *   GET /api/month/:year/:month     { metadata, months } - giống generateCalendarData()
+ *   GET /api/year/:year             { metadata, months } cho cả năm
+ *   GET /api/liturgical-year/:year  { metadata, months } từ Mùa Vọng năm trước → tuần Chúa Kitô Vua
+ *   GET /api/readings/:date         Trích dẫn + toàn văn bài đọc
+ *   GET /api/readings-coverage/:year Độ phủ bài đọc năm phụng vụ: ngày thiếu toàn văn, nguồn, dự phòng
+ *   GET /api/trace/:date            Vì sao cử hành này: các ứng viên đã xét + quy tắc quyết định
+ *   GET /api/lunar/:date            Ngày âm lịch, Can Chi, tiết khí, tuần trăng
+ *   GET /api/profiles               Danh sách hồ sơ lịch quốc gia
+ *   GET /api/overlays               Danh sách lịch riêng giáo phận / giáo xứ
+ *   GET /api/observances            Danh sách các dịp theo âm lịch (ngoài Tết)
+ *   GET /api/calendar.ics           Lịch đăng ký .ics (mặc định: năm trước → 2 năm sau)
+ *
+ * Các đường dẫn khác: phục vụ file tĩnh của thư mục gốc (index.html, test.html, css/, js/, Reading/...).
+ * Tham số query: ?readings=0 tắt trích dẫn bài đọc (day/month/year), ?full=0 bỏ toàn văn (readings),
+ * ?trace=1 kèm trace thứ tự ưu tiên cho từng ngày (month/year; day mặc định có, ?trace=0 để tắt),
+ * ?incomplete=1 chỉ liệt kê các ngày chưa đủ toàn văn (readings-coverage),
+ * ?before=N&after=M số năm trước/sau năm hiện tại (calendar.ics), ?profile=vn|us|au|fr|roman hồ sơ lịch
+ * (mặc định vn, xem /api/profiles), ?overlays=id1,id2 lịch riêng giáo phận/giáo xứ (xem /api/overlays),
+ * ?tz=Asia/Ho_Chi_Minh múi giờ IANA xác định "today" (mặc định: --tz hoặc giờ máy chủ),
+ * ?lunarTz=7 độ lệch UTC (giờ) cho âm lịch, tiết khí, tuần trăng.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadEngine, ROOT_DIR } = require('./engine-node');
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2199;
+// Dữ liệu chỉ phụ thuộc ngày + dữ liệu bài đọc → cho phép cache 1 ngày, kiểm tra lại bằng ETag
+const CACHE_CONTROL = 'public, max-age=86400';
+// Route theo "today": đổi sau nửa đêm → luôn kiểm tra lại bằng ETag
+const CACHE_CONTROL_TODAY = 'no-cache';
+
+// File tĩnh được phục vụ (ngoài ra trả 404, kể cả .git và các file ẩn khác)
+const STATIC_FILES = ['index.html', 'test.html', 'sw.js', 'manifest.json', 'favicon.ico'];
+// Thư mục → loại file trang web cần (không phục vụ script phát triển như Reading/parse_test.py)
+const STATIC_DIRS = {
+    css: ['.css'],
+    js: ['.js', '.json'],
+    Reading: ['.js', '.html'],
+    icons: ['.png', '.svg', '.ico']
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.ics': 'text/calendar; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Lỗi có mã HTTP (trả về dạng JSON { error })
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ============================================================================
+// THAM SỐ ROUTE
+// ============================================================================
+
+function parseYear(value) {
+    const year = Number(value);
+    if (!/^\d{4}$/.test(value) || year < MIN_YEAR || year > MAX_YEAR) {
+        throw new HttpError(400, `Năm không hợp lệ: ${value} (${MIN_YEAR}-${MAX_YEAR})`);
+    }
+    return year;
+}
+
+function parseMonth(value) {
+    const month = Number(value);
+    if (!/^\d{1,2}$/.test(value) || month < 1 || month > 12) {
+        throw new HttpError(400, `Tháng không hợp lệ: ${value} (1-12)`);
+    }
+    return month;
+}
+
+function parseDate(engine, value) {
+    let date;
+    try {
+        date = engine.toDate(value === 'today' ? null : value);
+    } catch (e) {
+        throw new HttpError(400, e.message);
+    }
+    parseYear(String(date.getFullYear()));
+    return date;
+}
+
+// Hồ sơ lịch (?profile=); null = hồ sơ mặc định của engine
+function parseProfile(engine, query) {
+    if (!query.has('profile')) return null;
+    const id = query.get('profile');
+    if (!engine.listCalendarProfiles().some(p => p.id === id)) {
+        throw new HttpError(400, `Hồ sơ lịch không hợp lệ: ${id}`);
+    }
+    return id;
+}
+
+// Lịch riêng (?overlays=a,b); null = không đổi
+function parseOverlays(engine, query) {
+    if (!query.has('overlays')) return null;
+    const ids = query.get('overlays').split(',').map(s => s.trim()).filter(Boolean);
+    const known = engine.listCalendarOverlays().map(o => o.id);
+    const unknown = ids.find(id => !known.includes(id));
+    if (unknown) {
+        throw new HttpError(400, `Lịch riêng không hợp lệ: ${unknown}`);
+    }
+    return ids;
+}
+
+// Múi giờ lịch (?tz=, ?lunarTz=); {} = giữ cài đặt của máy chủ
+function parseTimeZone(query) {
+    const settings = {};
+    if (query.has('tz')) {
+        const timeZone = query.get('tz');
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        } catch (e) {
+            throw new HttpError(400, `Múi giờ không hợp lệ: ${timeZone} (tên IANA, vd. Asia/Ho_Chi_Minh)`);
+        }
+        settings.timeZone = timeZone;
+    }
+    if (query.has('lunarTz')) {
+        const offset = Number(query.get('lunarTz'));
+        if (!/^[+-]?\d+(\.\d+)?$/.test(query.get('lunarTz')) || offset < -12 || offset > 14) {
+            throw new HttpError(400, `Múi giờ âm lịch không hợp lệ: ${query.get('lunarTz')} (-12..14)`);
+        }
+        settings.lunarTimeZone = offset;
+    }
+    return settings;
+}
+
+// Chạy fn theo hồ sơ lịch + lịch riêng + múi giờ của request
+function withRequestCalendar(engine, query, fn) {
+    const profile = parseProfile(engine, query);
+    const overlays = parseOverlays(engine, query);
+    const timeZone = parseTimeZone(query);
+    return engine.withCalendarTimeZone(timeZone, () =>
+        engine.withCalendarProfile(profile, () => engine.withCalendarOverlays(overlays, fn)));
+}
+
+function flag(query, name, defaultValue) {
+    if (!query.has(name)) return defaultValue;
+    return !['0', 'false', 'no'].includes(query.get(name));
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+const ROUTES = [
+    {
+        pattern: /^\/api\/day\/([^/]+)$/,
+        handle: (engine, [date], query) =>
+            engine.getDay(parseDate(engine, date), {
+                includeReadings: flag(query, 'readings', true),
+                includeTrace: flag(query, 'trace', true)
+            })
+    },
+    {
+        pattern: /^\/api\/month\/([^/]+)\/([^/]+)$/,
+        handle: (engine, [year, month], query) => {
+            const y = parseYear(year);
+            const m = parseMonth(month);
+            return engine.buildCalendarData(y, m, m, {
+                includeReadings: flag(query, 'readings', true),
+                includeTrace: flag(query, 'trace', false)
+            });
+        }
+    },
+    {
+        pattern: /^\/api\/year\/([^/]+)$/,
+        handle: (engine, [year], query) =>
+            engine.buildCalendarData(parseYear(year), 1, 12, {
+                includeReadings: flag(query, 'readings', true),
+                includeTrace: flag(query, 'trace', false)
+            })
+    },
+    {
+        pattern: /^\/api\/liturgical-year\/([^/]+)$/,
+        handle: (engine, [year], query) =>
+            engine.buildLiturgicalYearData(parseYear(year), {
+                includeReadings: flag(query, 'readings', true),
+                includeTrace: flag(query, 'trace', false)
+            })
+    },
+    {
+        pattern: /^\/api\/readings\/([^/]+)$/,
+        handle: (engine, [date], query) =>
+            engine.getDayReadings(parseDate(engine, date), { full: flag(query, 'full', true) })
+    },
+    {
+        pattern: /^\/api\/readings-coverage\/([^/]+)$/,
+        handle: (engine, [year], query) =>
+            engine.getReadingsCoverage(parseYear(year), { incompleteOnly: flag(query, 'incomplete', false) })
+    },
+    {
+        pattern: /^\/api\/trace\/([^/]+)$/,
+        handle: (engine, [date]) => engine.getPrecedenceTrace(parseDate(engine, date))
+    },
+    {
+        pattern: /^\/api\/lunar\/([^/]+)$/,
+        handle: (engine, [date]) => engine.getLunarInfo(parseDate(engine, date))
+    },
+    {
+        pattern: /^\/api\/profiles$/,
+        handle: (engine) => engine.listCalendarProfiles()
+    },
+    {
+        pattern: /^\/api\/overlays$/,
+        handle: (engine) => engine.listCalendarOverlays()
+    },
+    {
+        pattern: /^\/api\/observances$/,
+        handle: (engine) => engine.listLunarObservances()
+    }
+];
+
+// exportedAt thay đổi mỗi lần gọi → bỏ ra khi tính ETag để ETag ổn định
+function computeETag(data) {
+    const stable = JSON.stringify(data, (key, value) => key === 'exportedAt' ? undefined : value);
+    return `"${crypto.createHash('sha1').update(stable).digest('base64').slice(0, 27)}"`;
+}
+
+// Feed .ics: DTSTAMP đổi mỗi lần tạo → bỏ ra khi tính ETag
+function computeICSETag(ics) {
+    const stable = ics.split('\r\n').filter(l => !l.startsWith('DTSTAMP:')).join('\n');
+    return `"${crypto.createHash('sha1').update(stable).digest('base64').slice(0, 27)}"`;
+}
+
+function parseYearCount(query, name, defaultValue) {
+    if (!query.has(name)) return defaultValue;
+    const value = Number(query.get(name));
+    if (!Number.isInteger(value) || value < 0 || value > 10) {
+        throw new HttpError(400, `Tham số ${name} không hợp lệ: ${query.get(name)} (0-10)`);
+    }
+    return value;
+}
+
+function sendBody(req, res, status, headers, body) {
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function sendJSON(req, res, status, data, extraHeaders = {}) {
+    sendBody(req, res, status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        ...extraHeaders
+    }, JSON.stringify(data, null, 2));
+}
+
+// Trả JSON có ETag / Cache-Control; 304 nếu client đã có bản mới nhất
+function sendCached(req, res, data, cacheControl = CACHE_CONTROL) {
+    const etag = computeETag(data);
+    const headers = { 'ETag': etag, 'Cache-Control': cacheControl };
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(s => s.trim()).includes(etag)) {
+        res.writeHead(304, { ...headers, 'Access-Control-Allow-Origin': '*' });
+        res.end();
+        return;
+    }
+    sendJSON(req, res, 200, data, headers);
+}
+
+// Lịch đăng ký .ics (tạo lại tối đa mỗi ngày một lần cho mỗi cửa sổ năm + hồ sơ lịch)
+const icsFeedCache = new Map();
+
+function sendICSFeed(req, res, engine, query) {
+    const yearsBefore = parseYearCount(query, 'before', 1);
+    const yearsAfter = parseYearCount(query, 'after', 2);
+    const profile = parseProfile(engine, query);
+    const overlays = parseOverlays(engine, query);
+    const timeZone = parseTimeZone(query);
+    const today = engine.withCalendarTimeZone(timeZone, () => engine.toISODate(engine.toDate(null)));
+    const key = `${today}_${yearsBefore}_${yearsAfter}_${profile}_${overlays}_${JSON.stringify(timeZone)}`;
+    let entry = icsFeedCache.get(key);
+    if (!entry) {
+        const ics = withRequestCalendar(engine, query, () => engine.buildICSFeed({ yearsBefore, yearsAfter }));
+        entry = { ics, etag: computeICSETag(ics) };
+        // Bỏ các bản của ngày trước
+        for (const oldKey of icsFeedCache.keys()) {
+            if (!oldKey.startsWith(today)) icsFeedCache.delete(oldKey);
+        }
+        icsFeedCache.set(key, entry);
+    }
+    const headers = {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="lich-phung-vu.ics"',
+        'Access-Control-Allow-Origin': '*',
+        'ETag': entry.etag,
+        'Cache-Control': 'public, max-age=3600'
+    };
+    if (req.headers['if-none-match'] === entry.etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    sendBody(req, res, 200, headers, entry.ics);
+}
+
+// Tham số đường dẫn đã giải mã; %xx sai (vd. /api/day/%E0) → 400
+function decodePathParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        throw new HttpError(400, `Đường dẫn không hợp lệ: ${value}`);
+    }
+}
+
+// Chỉ phục vụ STATIC_FILES / loại file cho phép trong STATIC_DIRS, không có phần nào bắt đầu bằng "."
+function isStaticPath(relPath) {
+    const segments = relPath.split(/[\\/]+/).filter(Boolean);
+    if (segments.length === 0 || segments.some(s => s.startsWith('.'))) return false;
+    if (segments.length === 1) return STATIC_FILES.includes(segments[0]);
+    const extensions = Object.prototype.hasOwnProperty.call(STATIC_DIRS, segments[0]) ? STATIC_DIRS[segments[0]] : [];
+    return extensions.includes(path.extname(relPath).toLowerCase());
+}
+
+function serveStatic(req, res, pathname, rootDir) {
+    const relPath = decodePathParam(pathname === '/' ? '/index.html' : pathname);
+    const fullPath = path.normalize(path.join(rootDir, relPath));
+    if (!fullPath.startsWith(rootDir + path.sep)) {
+        throw new HttpError(403, 'Đường dẫn không hợp lệ');
+    }
+    if (!isStaticPath(path.relative(rootDir, fullPath))) {
+        throw new HttpError(404, `Không tìm thấy: ${pathname}`);
+    }
+    fs.stat(fullPath, (err, stat) => {
+        if (err || !stat.isFile()) {
+            sendJSON(req, res, 404, { error: `Không tìm thấy: ${pathname}` });
+            return;
+        }
+        const type = MIME_TYPES[path.extname(fullPath).toLowerCase()] || 'application/octet-stream';
+        const etag = `"${stat.size.toString(16)}-${stat.mtimeMs.toString(16)}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { 'ETag': etag });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type, 'Content-Length': stat.size, 'ETag': etag, 'Cache-Control': 'no-cache' });
+        if (req.method === 'HEAD') {
+            res.end();
+        } else {
+            fs.createReadStream(fullPath).pipe(res);
+        }
+    });
+}
+
+function createServer(options = {}) {
+    const { rootDir = ROOT_DIR, engine = loadEngine({ rootDir }) } = options;
+
+    return http.createServer((req, res) => {
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+                    'Access-Control-Allow-Headers': 'If-None-Match'
+                });
+                res.end();
+                return;
+            }
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw new HttpError(405, `Phương thức không hỗ trợ: ${req.method}`);
+            }
+
+            const url = new URL(req.url, 'http://localhost');
+            const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+            if (pathname === '/api/openapi.json') {
+                serveStatic(req, res, '/js/openapi.json', rootDir);
+                return;
+            }
+            if (pathname === '/api/calendar.ics') {
+                sendICSFeed(req, res, engine, url.searchParams);
+                return;
+            }
+            if (pathname.startsWith('/api/')) {
+                const route = ROUTES.find(r => r.pattern.test(pathname));
+                if (!route) throw new HttpError(404, `Không có route: ${pathname}`);
+                const params = pathname.match(route.pattern).slice(1).map(decodePathParam);
+                const data = withRequestCalendar(engine, url.searchParams, () => route.handle(engine, params, url.searchParams));
+                sendCached(req, res, data, params.includes('today') ? CACHE_CONTROL_TODAY : CACHE_CONTROL);
+                return;
+            }
+            serveStatic(req, res, pathname, rootDir);
+        } catch (e) {
+            const status = e instanceof HttpError ? e.status : 500;
+            if (status === 500) console.error(e);
+            sendJSON(req, res, status, { error: e.message });
+        }
+    });
+}
+
+function parseServerArgs(argv) {
+    const options = { port: Number(process.env.PORT) || 8080, host: process.env.HOST || '127.0.0.1', timeZone: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--host') options.host = argv[++i];
+        else if (argv[i] === '--tz') options.timeZone = argv[++i];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const { port, host, timeZone } = parseServerArgs(process.argv.slice(2));
+    const engine = loadEngine();
+    // "today" mặc định theo --tz (vd. Asia/Ho_Chi_Minh) thay vì giờ của máy chủ
+    if (timeZone) engine.setCalendarTimeZone({ timeZone });
+    createServer({ engine }).listen(port, host, () => {
+        console.log(`📅 Lịch Phụng Vụ API: http://${host}:${port}/api/day/today`);
+    });
+}
+
+module.exports = { createServer, ROUTES, HttpError };
@@ -1,35 +1,47 @@
-var fs = {
-    readFileSync: function(path) {
-        var app = Application.currentApplication();
-        app.includeStandardAdditions = true;
-        return app.doShellScript('cat "' + path + '"');
-    }
-};
-
-var READINGS_DATA = [];
-var READINGS_SUNDAY = {};
-eval(fs.readFileSync('/Library/WebServer/Documents/Calendar/Reading/readingdata.js'));
-eval(fs.readFileSync('/Library/WebServer/Documents/Calendar/Reading/Sunday.js'));
-
-// Mock required functions for controller
-var CACHE = { get: function(){}, set: function(){} };
-var LUNAR_CALENDAR = { isTetDay: function(){return 0;} };
+// Kiểm tra nhanh bài đọc Lễ Thăng Thiên (4080) và Reading/chunks bằng engine, không cần trình duyệt.
+// Chạy: node js/test_readings.js (mã thoát 1 khi Reading/chunks cũ hơn file bài đọc gốc)
+const path = require('path');
+const { loadEngine, ROOT_DIR } = require('./engine-node');
+const { buildChunks, diffChunks, CHUNK_DIR } = require('./build-reading-chunks');
 
-eval(fs.readFileSync('/Library/WebServer/Documents/Calendar/js/controller.js'));
+const engine = loadEngine();
+// Như index.html: chỉ mục trích dẫn, toàn văn nạp theo phần từ Reading/chunks
+const lazyEngine = loadEngine({ lazyReadings: true });
 
-try {
-    var res = getFullReadings("4080", null, null, 0, "C", "2");
+async function main() {
+    var res = await engine.getFullReadings("4080", null, null, 0, "C", "2");
     console.log("Results length: " + res.length);
-    if(res.length > 0) {
+    if (res.length > 0) {
         var data = res[0].data;
         console.log("Type: " + res[0].type);
         console.log("Has Gospel Content: " + (data && data.gospel && data.gospel.content ? "YES" : "NO"));
-        if(data && data.gospel && data.gospel.content) {
+        if (data && data.gospel && data.gospel.content) {
             console.log("Substring: " + data.gospel.content.substring(0, 50));
         } else {
             console.log("Data keys: " + Object.keys(data).join(", "));
         }
     }
-} catch(e) {
-    console.log("Error: " + e.toString());
+
+    var lazyRes = await lazyEngine.getFullReadings("4080", null, null, 0, "C", "2");
+    var lazyMatch = JSON.stringify(lazyRes) === JSON.stringify(res);
+    console.log("Lazy chunks = full files: " + (lazyMatch ? "YES" : "NO"));
+
+    // Reading/chunks phải được tạo lại mỗi khi sửa file bài đọc gốc
+    var diff = diffChunks(buildChunks(), path.join(ROOT_DIR, CHUNK_DIR));
+    var current = diff.changed.length === 0 && diff.stale.length === 0;
+    console.log("Chunks up to date: " + (current ? "YES" : "NO - chạy: node js/build-reading-chunks.js"));
+    diff.changed.concat(diff.stale).slice(0, 10).forEach(f => console.log("  " + f));
+
+    // Không nạp toàn văn: getDayReadings báo textsLoaded=false thay vì im lặng trả trích dẫn
+    var lazyDay = lazyEngine.getDayReadings("2025-03-10");
+    var fullDay = engine.getDayReadings("2025-03-10");
+    var flagOk = lazyDay.textsLoaded === false && fullDay.textsLoaded === true;
+    console.log("textsLoaded flag: " + (flagOk ? "YES" : "NO"));
+
+    if (!lazyMatch || !current || !flagOk) process.exitCode = 1;
 }
+
+main().catch(e => {
+    console.log("Error: " + e.toString());
+    process.exitCode = 1;
+});
@@ -3,24 +3,22 @@
  * Cache các tài nguyên tĩnh để tăng tốc độ tải trang
  */
 
-const CACHE_NAME = 'liturgical-calendar-v4';
-const CACHE_VERSION = 4;
+const CACHE_NAME = 'liturgical-calendar-v7';
+const CACHE_VERSION = 7;
 
 // Danh sách các file cần cache (relative paths)
 const STATIC_ASSETS = [
     './',
     './index.html',
     './css/styles.css',
+    './js/engine.js',
     './js/controller.js',
     './Reading/readingdata.js',
-    './Reading/readings_year_1.js',
-    './Reading/readings_year_2.js',
-    './Reading/Sunday.js',
-    './Reading/DailySeason.js',
+    // Toàn văn bài đọc: chỉ cache chỉ mục, các phần Reading/chunks/*.js được cache khi mở lần đầu
+    './Reading/chunks/index.js',
     './Reading/Saints.js',
-    './Reading/SaintsBible.js',
-    './Reading/Optionsaint.js',
-    './Reading/eucharisticAdoration.js'
+    './Reading/eucharisticAdoration.js',
+    './Reading/properCalendars.js'
 ];
 
 // CDN resources (cache với chiến lược network-first)